@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Definitions Bundle Builder
+ * - Generates src/data/definitions.js: offline definitions for every likely
+ *   answer (5-letter ANSWERS_LIST), so clicking a word doesn't need the network
+ * - Source: WordNet 3.1 (Princeton University), as packaged by the
+ *   `wordnet-db` npm package
+ * - Keeps the MAX_SENSES most common senses per part of speech, each with its
+ *   first example sentence, plus up to MAX_SYNONYMS synonyms
+ * - Words WordNet doesn't know are left out (the app looks those up online)
+ *
+ * Usage:
+ *   npm pack wordnet-db && tar xzf wordnet-db-*.tgz
+ *   node scripts/buildDefinitions.js ./package
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ANSWERS_LIST } from "../src/data/solutions.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Paths ---
+const OUTPUT_PATH = path.join(__dirname, "../src/data/definitions.js");
+
+// --- Configuration ---
+const MAX_SENSES = 3; // DefinitionModal shows 3 definitions per part of speech
+const MAX_SYNONYMS = 5;
+
+// WordNet file suffixes → part of speech labels (same labels as the Free Dictionary API)
+const PARTS_OF_SPEECH = [
+  { file: "noun", label: "noun" },
+  { file: "verb", label: "verb" },
+  { file: "adj", label: "adjective" },
+  { file: "adv", label: "adverb" }
+];
+
+/**
+ * Reads an index file into a Map (lemma → { tagCount, offsets })
+ * Line format: lemma pos synset_cnt p_cnt [ptr_symbol...] sense_cnt tagsense_cnt synset_offset...
+ * Offsets are listed most common sense first.
+ */
+function readIndex(dictDir, file) {
+  const index = new Map();
+  for (const line of fs.readFileSync(path.join(dictDir, `index.${file}`), "utf8").split("\n")) {
+    if (!line || line.startsWith(" ")) continue; // license header lines start with spaces
+
+    const fields = line.trim().split(" ");
+    const synsetCount = Number(fields[2]);
+    const pointerCount = Number(fields[3]);
+    index.set(fields[0], {
+      tagCount: Number(fields[5 + pointerCount]),
+      offsets: fields.slice(-synsetCount).map(Number)
+    });
+  }
+  return index;
+}
+
+/**
+ * Reads the synset at a byte offset of a data file
+ * Line format: offset lex_filenum ss_type w_cnt [word lex_id]... p_cnt [...] | gloss
+ * Words keep their case (proper nouns are capitalized: "Crane" the poet).
+ */
+function readSynset(data, offset) {
+  const line = data.toString("utf8", offset, data.indexOf("\n", offset));
+  const [head, gloss = ""] = line.split(" | ");
+
+  const fields = head.split(" ");
+  const wordCount = parseInt(fields[3], 16);
+  const words = [];
+  for (let i = 0; i < wordCount; i++) {
+    words.push(fields[4 + i * 2].replace(/\(.*\)$/, "").replace(/_/g, " "));
+  }
+
+  // Gloss: definition; "example"; "another example"
+  const [definition, ...rest] = gloss.trim().split(/;\s*(?=")/);
+  const example = rest[0]?.match(/^"([^"]*)"/)?.[1];
+
+  return { words, definition: definition.trim(), example };
+}
+
+/**
+ * Builds the compact entry for a word:
+ * [[partOfSpeech, [[definition, example?], ...], [synonym, ...]], ...]
+ * Parts of speech are ordered by how often the word is used that way.
+ */
+function buildEntry(word, dictionary) {
+  const meanings = [];
+
+  for (const { label, index, data } of dictionary) {
+    const lemma = index.get(word);
+    if (!lemma) continue;
+
+    // Common senses first, proper nouns last (stable, so most common first within each)
+    const synsets = lemma.offsets
+      .map((offset) => readSynset(data, offset))
+      .sort((a, b) => Number(b.words.includes(word)) - Number(a.words.includes(word)))
+      .slice(0, MAX_SENSES);
+
+    const definitions = synsets.map(({ definition, example }) => (example ? [definition, example] : [definition]));
+    // Synonyms skip proper nouns ("Stephen Crane") and scientific names
+    const synonyms = [...new Set(synsets.flatMap(({ words }) => words))]
+      .filter((synonym) => synonym !== word && synonym === synonym.toLowerCase())
+      .slice(0, MAX_SYNONYMS);
+
+    meanings.push({ tagCount: lemma.tagCount, meaning: [label, definitions, synonyms] });
+  }
+
+  return meanings
+    .sort((a, b) => b.tagCount - a.tagCount) // stable: noun, verb, adjective, adverb on ties
+    .map(({ meaning }) => meaning);
+}
+
+function buildFile(entries, wordCount) {
+  return `// src/data/definitions.js
+//
+// OFFLINE DEFINITIONS (generated by scripts/buildDefinitions.js - do not edit by hand)
+//
+// Definitions for the likely answers, loaded on demand the first time a
+// definition is opened (see utils/definitions.js). Words missing here are
+// looked up online.
+//
+// Entry format: [[partOfSpeech, [[definition, example?], ...], [synonym, ...]], ...]
+//
+// Source: WordNet 3.1, via the wordnet-db npm package.
+// WordNet 3.0 Copyright 2006 by Princeton University. All rights reserved.
+// THIS SOFTWARE AND DATABASE IS PROVIDED "AS IS" AND PRINCETON UNIVERSITY MAKES
+// NO REPRESENTATIONS OR WARRANTIES, EXPRESS OR IMPLIED. BY WAY OF EXAMPLE, BUT
+// NOT LIMITATION, PRINCETON UNIVERSITY MAKES NO REPRESENTATIONS OR WARRANTIES OF
+// MERCHANTABILITY OR FITNESS FOR ANY PARTICULAR PURPOSE OR THAT THE USE OF THE
+// LICENSED SOFTWARE, DATABASE OR DOCUMENTATION WILL NOT INFRINGE ANY THIRD PARTY
+// PATENTS, COPYRIGHTS, TRADEMARKS OR OTHER RIGHTS.
+
+/**
+ * Definitions by word
+ * Total: ${entries.length} of ${wordCount} answers
+ */
+export const DEFINITIONS = {
+${entries.map(([word, meanings]) => `  ${word}: ${JSON.stringify(meanings)}`).join(",\n")}
+};
+`;
+}
+
+function run() {
+  const packageDir = process.argv[2];
+  if (!packageDir) {
+    console.error("Usage: node scripts/buildDefinitions.js <path to unpacked wordnet-db package>");
+    process.exit(1);
+  }
+
+  const dictDir = path.join(packageDir, "dict");
+  const dictionary = PARTS_OF_SPEECH.map(({ file, label }) => ({
+    label,
+    index: readIndex(dictDir, file),
+    data: fs.readFileSync(path.join(dictDir, `data.${file}`))
+  }));
+
+  const entries = ANSWERS_LIST
+    .map((word) => [word, buildEntry(word, dictionary)])
+    .filter(([, meanings]) => meanings.length > 0);
+
+  fs.writeFileSync(OUTPUT_PATH, buildFile(entries, ANSWERS_LIST.length));
+  console.log(`${entries.length} of ${ANSWERS_LIST.length} answers defined → ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+
+  const defined = new Set(entries.map(([word]) => word));
+  const missing = ANSWERS_LIST.filter((word) => !defined.has(word));
+  if (missing.length > 0) {
+    console.log(`Not in WordNet (looked up online): ${missing.join(", ")}`);
+  }
+}
+
+run();
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Past Answers Builder
+ * - Generates src/data/pastAnswers.js: every daily Wordle answer with its date
+ * - Source: the original answer schedule (one answer per day from 2021-06-19),
+ *   as packaged by the `wordle-words` npm package (MIT)
+ * - Stops at UNTIL (default: the last day before the NYT started picking
+ *   answers by hand)
+ * - Newer answers: --fetch asks the NYT's daily puzzle endpoint for every day
+ *   after the last entry, up to the given date (default: today)
+ * - Re-running keeps entries after UNTIL (read back from the output), so
+ *   --fetch on its own (no package) only adds the missing days
+ *
+ * Usage:
+ *   npm pack wordle-words && tar xzf wordle-words-*.tgz
+ *   node scripts/buildPastAnswers.js ./package [--until YYYY-MM-DD] [--fetch [YYYY-MM-DD]]
+ *   node scripts/buildPastAnswers.js --fetch [YYYY-MM-DD]
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Paths ---
+const OUTPUT_PATH = path.join(__dirname, "../src/data/pastAnswers.js");
+
+// --- Configuration ---
+const FIRST_DATE = "2021-06-19"; // Wordle #0 (CIGAR)
+const DEFAULT_UNTIL = "2022-11-06"; // NYT answers are hand-picked from 2022-11-07 on
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// NYT daily puzzle (JSON with the answer in `solution`)
+const getNytUrl = (date) => `https://www.nytimes.com/svc/wordle/v2/${date}.json`;
+const FETCH_DELAY_MS = 250; // Between requests, to stay polite
+
+/**
+ * Adds whole days to a YYYY-MM-DD date (UTC, so no DST surprises)
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Reads the entries already in the output (to keep hand-added ones)
+ */
+function readExistingEntries() {
+  if (!fs.existsSync(OUTPUT_PATH)) return [];
+  const source = fs.readFileSync(OUTPUT_PATH, "utf8");
+  return [...source.matchAll(/\{ date: "(\d{4}-\d{2}-\d{2})", word: "([a-z]+)" \}/g)]
+    .map(([, date, word]) => ({ date, word }));
+}
+
+/**
+ * Fetches the answer for one day from the NYT
+ */
+async function fetchAnswer(date) {
+  const response = await fetch(getNytUrl(date));
+  if (!response.ok) throw new Error(`NYT returned ${response.status} for ${date}`);
+  const { solution } = await response.json();
+  if (!/^[a-z]{5}$/.test(solution ?? "")) throw new Error(`No answer in the NYT puzzle for ${date}`);
+  return solution;
+}
+
+/**
+ * Fetches every day after `after` up to `until` (stops at the first failure,
+ * keeping what was fetched so far)
+ */
+async function fetchAnswers(after, until) {
+  const fetched = [];
+  for (let date = addDays(after, 1); date <= until; date = addDays(date, 1)) {
+    try {
+      fetched.push({ date, word: await fetchAnswer(date) });
+    } catch (error) {
+      console.error(`Stopped fetching at ${date}: ${error.message}`);
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, FETCH_DELAY_MS));
+  }
+  return fetched;
+}
+
+function buildFile(entries, until) {
+  return `// src/data/pastAnswers.js
+//
+// PAST DAILY WORDLE ANSWERS (generated by scripts/buildPastAnswers.js)
+//
+// One entry per day, oldest first. Dates are the puzzle's date (YYYY-MM-DD).
+//
+// Caveats:
+// - Up to ${until}, dates come from the original answer schedule. The NYT
+//   swapped out a handful of those words in 2022, so a few dates may list the
+//   original word instead of the one that was actually played
+// - After ${until}, the NYT picks answers by hand, so there is no schedule to
+//   generate from: \`node scripts/buildPastAnswers.js --fetch\` adds the days
+//   since the last entry from the NYT (or append them by hand, keeping the
+//   same one-entry-per-line format; re-running the script keeps them)
+// - The list ends at ${entries.at(-1).date}: later answers aren't known to the app,
+//   which leaves past answers switched off until the list reaches the current day
+//
+// Sources: wordle-words npm package (MIT, Copyright (c) 2022 Michael Chan)
+// up to ${until}, the NYT daily puzzle after it
+
+/**
+ * Past answers with their dates
+ * Total: ${entries.length} days (${entries[0].date} to ${entries.at(-1).date})
+ */
+export const PAST_ANSWERS = [
+${entries.map(({ date, word }) => `  { date: "${date}", word: "${word}" }`).join(",\n")}
+];
+`;
+}
+
+async function run() {
+  const args = process.argv.slice(2);
+  const sourceDir = args[0]?.startsWith("--") ? null : args[0];
+  const untilIndex = args.indexOf("--until");
+  const until = untilIndex === -1 ? DEFAULT_UNTIL : args[untilIndex + 1];
+  const fetchIndex = args.indexOf("--fetch");
+  const fetchDateArg = args[fetchIndex + 1];
+  const fetchUntil = fetchIndex === -1
+    ? null
+    : (fetchDateArg && !fetchDateArg.startsWith("--") ? fetchDateArg : new Date().toLocaleDateString("en-CA"));
+
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value ?? "");
+  if ((!sourceDir && !fetchUntil) || !isDate(until) || (fetchUntil && !isDate(fetchUntil))) {
+    console.error("Usage: node scripts/buildPastAnswers.js <path to unpacked wordle-words package> [--until YYYY-MM-DD] [--fetch [YYYY-MM-DD]]");
+    console.error("       node scripts/buildPastAnswers.js --fetch [YYYY-MM-DD]");
+    process.exit(1);
+  }
+
+  const existing = readExistingEntries();
+
+  // Without the package, keep the scheduled part already in the output
+  let scheduled = existing.filter(({ date }) => date <= until);
+  if (sourceDir) {
+    const { answers } = await import(pathToFileURL(path.resolve(sourceDir, "index.mjs")).href);
+    scheduled = [];
+    for (let day = 0; day < answers.length; day++) {
+      const date = addDays(FIRST_DATE, day);
+      if (date > until) break;
+      scheduled.push({ date, word: answers[day] });
+    }
+  }
+
+  const kept = existing.filter(({ date }) => date > until);
+  const known = [...scheduled, ...kept];
+  const fetched = fetchUntil ? await fetchAnswers(known.at(-1).date, fetchUntil) : [];
+  const entries = [...known, ...fetched];
+
+  fs.writeFileSync(OUTPUT_PATH, buildFile(entries, until));
+  console.log(`${scheduled.length} scheduled + ${kept.length} kept + ${fetched.length} fetched answers (through ${entries.at(-1).date}) → ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+}
+
+run();
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Word Frequency Builder
+ * - Generates src/data/wordFrequency/frequency{N}.js: a commonness score for
+ *   every word in the N-letter word list that appears in the corpus
+ * - Corpus: scripts/data/subtlex-us.tsv (bundled), word counts from SUBTLEX-US,
+ *   ~51 million words of American English film subtitles, via the
+ *   `subtlex-word-frequencies` npm package (ISC)
+ * - Score = Zipf frequency: log10(occurrences per billion words), rounded to
+ *   one decimal. ~1 = seen once in the corpus, 3 = uncommon, 4-5 = everyday,
+ *   6+ = the most common words. Words missing from the corpus get no entry.
+ *
+ * Usage:
+ *   node scripts/buildWordFrequency.js
+ *
+ * Refreshing the bundled corpus (case-folded, a-z words of 4-11 letters only):
+ *   npm pack subtlex-word-frequencies && tar xzf subtlex-word-frequencies-*.tgz
+ *   node scripts/buildWordFrequency.js --import ./package/index.json
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Paths ---
+const CORPUS_PATH = path.join(__dirname, "data/subtlex-us.tsv");
+const DATA_DIR = path.join(__dirname, "../src/data");
+const OUTPUT_DIR = path.join(DATA_DIR, "wordFrequency");
+
+// --- Configuration ---
+const WORD_LENGTHS = [4, 5, 6, 7, 8, 9, 10, 11];
+const CORPUS_MILLIONS = 51; // SUBTLEX-US size, in millions of words
+
+const CORPUS_HEADER = `# Word counts from SUBTLEX-US (American English film subtitles, ~51 million words)
+# Source: subtlex-word-frequencies npm package, ISC License, Copyright (c) 2015 Zeke Sikelianos
+# Case-folded, a-z words of 4-11 letters only. Regenerate with:
+#   node scripts/buildWordFrequency.js --import <path to subtlex index.json>
+# word<TAB>count`;
+
+/**
+ * Writes the bundled corpus from the package's index.json
+ * Counts for different capitalizations are summed ("Crane" + "crane")
+ */
+function importCorpus(indexPath) {
+  const counts = new Map();
+  for (const { word, count } of JSON.parse(fs.readFileSync(indexPath, "utf8"))) {
+    const lower = word.toLowerCase();
+    if (/^[a-z]{4,11}$/.test(lower)) {
+      counts.set(lower, (counts.get(lower) ?? 0) + count);
+    }
+  }
+
+  const lines = [...counts].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1));
+  fs.mkdirSync(path.dirname(CORPUS_PATH), { recursive: true });
+  fs.writeFileSync(CORPUS_PATH, `${CORPUS_HEADER}\n${lines.map(([word, count]) => `${word}\t${count}`).join("\n")}\n`);
+  console.log(`${lines.length} words → ${path.relative(process.cwd(), CORPUS_PATH)}`);
+}
+
+/**
+ * Reads the bundled corpus into a Map (word → count)
+ */
+function readCorpus() {
+  const counts = new Map();
+  for (const line of fs.readFileSync(CORPUS_PATH, "utf8").split("\n")) {
+    if (!line || line.startsWith("#")) continue;
+    const [word, count] = line.split("\t");
+    counts.set(word, Number(count));
+  }
+  return counts;
+}
+
+/**
+ * Zipf frequency of a corpus count (one decimal)
+ */
+function toZipf(count) {
+  return Math.round((Math.log10(count / CORPUS_MILLIONS) + 3) * 10) / 10;
+}
+
+/**
+ * Loads the full word list (SOLUTIONS_LIST) for a length
+ */
+async function loadWordList(length) {
+  const file = length === 5
+    ? path.join(DATA_DIR, "solutions.js")
+    : path.join(DATA_DIR, `wordsByLength/words${length}.js`);
+  const { SOLUTIONS_LIST } = await import(pathToFileURL(file).href);
+  return SOLUTIONS_LIST;
+}
+
+function buildFile(length, entries, wordCount) {
+  return `// src/data/wordFrequency/frequency${length}.js
+//
+// ${length}-LETTER WORD FREQUENCY (generated by scripts/buildWordFrequency.js - do not edit by hand)
+//
+// Zipf frequency (log10 of occurrences per billion words) from SUBTLEX-US film
+// subtitles. ~1 = rare, 3 = uncommon, 4-5 = everyday words. Words that never
+// appear in the corpus are left out (treated as 0).
+//
+// Source: subtlex-word-frequencies npm package (ISC, Copyright (c) 2015 Zeke Sikelianos)
+
+/**
+ * Commonness score per word
+ * Total: ${entries.length} of ${wordCount} words found in the corpus
+ */
+export const WORD_FREQUENCY = {
+${entries.map(([word, zipf]) => `  ${word}: ${zipf}`).join(",\n")}
+};
+`;
+}
+
+async function run() {
+  const importIndex = process.argv.indexOf("--import");
+  if (importIndex !== -1) {
+    const indexPath = process.argv[importIndex + 1];
+    if (!indexPath) {
+      console.error("Usage: node scripts/buildWordFrequency.js --import <path to subtlex index.json>");
+      process.exit(1);
+    }
+    importCorpus(indexPath);
+    return;
+  }
+
+  const corpus = readCorpus();
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  for (const length of WORD_LENGTHS) {
+    const words = await loadWordList(length);
+    const entries = words
+      .filter((word) => corpus.has(word))
+      .map((word) => [word, toZipf(corpus.get(word))]);
+
+    const outputPath = path.join(OUTPUT_DIR, `frequency${length}.js`);
+    fs.writeFileSync(outputPath, buildFile(length, entries, words.length));
+    console.log(`${length} letters: ${entries.length} of ${words.length} words → ${path.relative(process.cwd(), outputPath)}`);
+  }
+}
+
+run();
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Word List Builder (non-5-letter lengths)
+ * - Generates src/data/wordsByLength/words{N}.js for every length in WORD_LENGTHS
+ * - Source: SCOWL word lists as packaged by the `wordlist-english` npm package (MIT)
+ * - Answers = common words (SCOWL sizes 10-35), valid guesses = the rest up to size 50
+ * - Lowercase a-z only: proper nouns, abbreviations and apostrophes are skipped
+ * - 5-letter words are NOT generated here; src/data/solutions.js keeps the real Wordle lists
+ *
+ * Usage:
+ *   npm pack wordlist-english && tar xzf wordlist-english-*.tgz
+ *   node scripts/buildWordLists.js ./package
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Paths ---
+const OUTPUT_DIR = path.join(__dirname, "../src/data/wordsByLength");
+
+// --- Configuration ---
+const WORD_LENGTHS = [4, 6, 7, 8, 9, 10, 11];
+const VARIANTS = ["english", "american"];
+const ANSWER_SIZES = [10, 20, 35];
+const GUESS_SIZES = [40, 50];
+
+// SCOWL asks for its copyright notice to travel with the word lists
+const SCOWL_NOTICE = `// Word lists derived from SCOWL (http://wordlist.aspell.net/):
+//   Copyright 2000-2016 by Kevin Atkinson
+//   Permission to use, copy, modify, distribute and sell these word
+//   lists, the associated scripts, the output created from the scripts,
+//   and its documentation for any purpose is hereby granted without fee,
+//   provided that the above copyright notice appears in all copies and
+//   that both that copyright notice and this permission notice appear in
+//   supporting documentation. Kevin Atkinson makes no representations
+//   about the suitability of this array for any purpose. It is provided
+//   "as is" without express or implied warranty.`;
+
+/**
+ * Reads every word of the given SCOWL sizes (all variants) into a Set
+ */
+function readWords(sourceDir, sizes) {
+  const words = new Set();
+  for (const variant of VARIANTS) {
+    for (const size of sizes) {
+      const file = path.join(sourceDir, `${variant}-words-${size}.json`);
+      for (const word of JSON.parse(fs.readFileSync(file, "utf8"))) {
+        if (/^[a-z]+$/.test(word)) words.add(word);
+      }
+    }
+  }
+  return words;
+}
+
+/**
+ * Formats a word array the same way as src/data/solutions.js (one word per line)
+ */
+function formatList(words) {
+  return `[\n${words.map((w) => `  "${w}"`).join(",\n")}\n]`;
+}
+
+function buildFile(length, answers, guesses) {
+  return `// src/data/wordsByLength/words${length}.js
+//
+// ${length}-LETTER WORD LIST (generated by scripts/buildWordLists.js - do not edit by hand)
+//
+// Split into two lists, like solutions.js:
+// - ANSWERS_LIST: common words (SCOWL sizes ${ANSWER_SIZES[0]}-${ANSWER_SIZES.at(-1)}), the likely answers in Wordle clones
+// - VALID_GUESSES_LIST: less common words accepted as guesses (SCOWL sizes up to ${GUESS_SIZES.at(-1)})
+//
+${SCOWL_NOTICE}
+
+/**
+ * Common ${length}-letter words (likely answers)
+ * Total: ${answers.length} words
+ */
+export const ANSWERS_LIST = ${formatList(answers)};
+
+/**
+ * Other accepted ${length}-letter guesses
+ * Total: ${guesses.length} words
+ */
+export const VALID_GUESSES_LIST = ${formatList(guesses)};
+
+/**
+ * Every accepted ${length}-letter word (answers + valid guesses), sorted
+ */
+export const SOLUTIONS_LIST = [...ANSWERS_LIST, ...VALID_GUESSES_LIST].sort();
+`;
+}
+
+function run() {
+  const sourceDir = process.argv[2];
+  if (!sourceDir) {
+    console.error("Usage: node scripts/buildWordLists.js <path to unpacked wordlist-english package>");
+    process.exit(1);
+  }
+
+  const common = readWords(sourceDir, ANSWER_SIZES);
+  const extra = readWords(sourceDir, GUESS_SIZES);
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  for (const length of WORD_LENGTHS) {
+    const answers = [...common].filter((w) => w.length === length).sort();
+    const guesses = [...extra].filter((w) => w.length === length && !common.has(w)).sort();
+
+    const outputPath = path.join(OUTPUT_DIR, `words${length}.js`);
+    fs.writeFileSync(outputPath, buildFile(length, answers, guesses));
+    console.log(`${length} letters: ${answers.length} answers, ${guesses.length} guesses → ${path.relative(process.cwd(), outputPath)}`);
+  }
+}
+
+run();
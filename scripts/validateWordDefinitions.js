@@ -2,16 +2,19 @@
 /**
  * Wordle Solutions Validator
  * - Validates words against Free Dictionary API, with Wiktionary fallback
+ *   (the app's definition providers, src/utils/definitionProviders.js)
  * - Checkpoints progress to allow resume
  * - Atomic writes to avoid corrupting outputs
  * - Retries with timeout + 429 handling (Retry-After seconds or date) + backoff w/ jitter
  * - Adds global cooldown after 429 (+buffer) and slower default pacing to reduce repeated 429s
  * - Produces clean logs when piping output (e.g., tee) vs interactive TTY progress updates
+ * - Only validates VALID_GUESSES_LIST; the curated ANSWERS_LIST is never rewritten
  */
 
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { freeDictionaryProvider, wiktionaryProvider } from "../src/utils/definitionProviders.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,9 +27,12 @@ const INVALID_LOG_PATH = path.join(__dirname, "../src/data/invalid-words.json");
 
 // --- Configuration ---
 const REQUEST_DELAY_MS = 800; // slower per-word pacing to reduce 429s (was 150)
-const FALLBACK_DELAY_MS = 400; // extra delay before hitting Wiktionary fallback
+const FALLBACK_DELAY_MS = 400; // extra delay before hitting the next provider
 const BATCH_SAVE_INTERVAL = 25;
 
+// Providers to check, in order (a word is valid if any of them defines it)
+const PROVIDERS = [freeDictionaryProvider, wiktionaryProvider];
+
 const REQUEST_TIMEOUT_MS = 10_000; // 10s per request
 const MAX_RETRIES = 3;
 
@@ -181,6 +187,14 @@ async function fetchWithRetry(url, word, { retries = MAX_RETRIES } = {}) {
   }
 }
 
+/**
+ * fetchJson for the providers, with this script's retries and rate limit handling
+ */
+async function fetchJsonWithRetry(url, word) {
+  const res = await fetchWithRetry(url, word);
+  return { ok: res.ok, status: res.status, data: res.ok ? await res.json() : null };
+}
+
 /**
  * Validation logic: returns { valid: boolean, source?: string }
  */
@@ -190,51 +204,33 @@ async function validateWord(word) {
   // Enforce Wordle shape (adjust if your list isn't strictly 5-letter)
   if (w.length !== 5) return { valid: false, source: "length" };
 
-  // 1) Free Dictionary
-  try {
-    const r1 = await fetchWithRetry(
-      `https://api.dictionaryapi.dev/api/v2/entries/en/${encodeURIComponent(w)}`,
-      w
-    );
-
-    if (r1.ok) {
-      const data = await r1.json();
-      if (data?.[0]?.meanings?.length > 0) return { valid: true, source: "FreeDictionary" };
-    }
-  } catch {
-    // swallow; fall through to wiktionary
-  }
-
-  // Small delay before fallback to reduce burstiness
-  await sleep(FALLBACK_DELAY_MS);
-
-  // 2) Wiktionary fallback
-  try {
-    const r2 = await fetchWithRetry(
-      `https://en.wiktionary.org/api/rest_v1/page/definition/${encodeURIComponent(w)}`,
-      w
-    );
+  for (const [i, provider] of PROVIDERS.entries()) {
+    // Small delay before each fallback to reduce burstiness
+    if (i > 0) await sleep(FALLBACK_DELAY_MS);
 
-    if (r2.ok) {
-      const data = await r2.json();
-      if (data?.en?.length > 0) return { valid: true, source: "Wiktionary" };
+    try {
+      const definition = await provider.lookup(w, { fetchJson: (url) => fetchJsonWithRetry(url, w) });
+      if (definition) return { valid: true, source: provider.name };
+    } catch {
+      // swallow; fall through to the next provider
     }
-  } catch {
-    // swallow
   }
 
   return { valid: false };
 }
 
+// Matches the VALID_GUESSES_LIST array literal (answers live in a separate export)
+const GUESSES_LIST_PATTERN = /export const VALID_GUESSES_LIST\s*=\s*\[([\s\S]*?)\]\s*;/;
+
 /**
- * Load SOLUTIONS_LIST from solutions.js with guard.
+ * Load VALID_GUESSES_LIST from solutions.js with guard.
  * Note: still regex-based; for maximum robustness use AST parsing.
  */
 function loadSolutionsFromFile(rawContent) {
-  const match = rawContent.match(/export const SOLUTIONS_LIST\s*=\s*\[([\s\S]*?)\]\s*;/);
+  const match = rawContent.match(GUESSES_LIST_PATTERN);
   if (!match) {
     throw new Error(
-      `CRITICAL: Could not find SOLUTIONS_LIST export in ${SOLUTIONS_PATH}. Check formatting.`
+      `CRITICAL: Could not find VALID_GUESSES_LIST export in ${SOLUTIONS_PATH}. Check formatting.`
     );
   }
 
@@ -321,13 +317,16 @@ async function run() {
   const validWords = wordsToProcess.filter((w) => state.results[w] === true);
   const invalidWords = wordsToProcess.filter((w) => state.results[w] === false);
 
-  // 5) Rewrite solutions export + update a specific comment line if present
+  // 5) Rewrite valid guesses export + update its "Total: N words" doc line
   const finalContent = rawContent
     .replace(
-      /export const SOLUTIONS_LIST\s*=\s*\[[\s\S]*?\]\s*;/,
-      `export const SOLUTIONS_LIST = [\n  ${validWords.map((w) => `"${w.toLowerCase()}"`).join(",\n  ")}\n];`
+      GUESSES_LIST_PATTERN,
+      `export const VALID_GUESSES_LIST = [\n  ${validWords.map((w) => `"${w.toLowerCase()}"`).join(",\n  ")}\n];`
     )
-    .replace(/\/\/\s*Total:\s*\d+\s*words/g, `// Total: ${validWords.length} words`);
+    .replace(
+      /\* Total:\s*\d+\s*words(\s*\*\/\s*export const VALID_GUESSES_LIST)/,
+      `* Total: ${validWords.length} words$1`
+    );
 
   writeAtomic(SOLUTIONS_PATH, finalContent);
   writeAtomic(INVALID_LOG_PATH, JSON.stringify(invalidWords, null, 2));
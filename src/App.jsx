@@ -6,66 +6,140 @@
  * which input row is currently focused.
  *
  * Layout structure:
- * - Left panel (500px): Input rows (Green, Yellow, Gray) + Keyboard
+ * - Left panel (500px): Word length + board count + entry mode toggles + practice
+ *   game + input rows (Green, Yellow, Gray or whole guesses) + Letter heatmap + Keyboard
  * - Right panel (990px): WordCloud showing possible words
  *
+ * Multi-board mode (2, 4 or 8 boards - Dordle, Quordle, Octordle):
+ * - Left panel: toggles + shared guess input + summary of every board
+ * - Right panel: one MiniBoard per board + suggestions across all unsolved boards
+ *
  * Global keyboard shortcuts:
  * - Cmd+Z / Ctrl+Z: Undo last action
+ * - Cmd+Shift+Z / Ctrl+Shift+Z / Ctrl+Y: Redo last undone action
  *
- * The app is split into two components:
- * - AppContent: The actual app UI (needs access to context)
- * - App: Wrapper that provides the ConstraintContext
+ * The app is split into these components:
+ * - AppShell: Page chrome, header and global shortcuts shared by both modes
+ * - AppContent: The single-board UI (needs access to ConstraintContext)
+ * - MultiBoardContent: The multi-board UI (needs access to MultiBoardContext)
+ * - Board: Provides the context for the current mode, re-mounted when the
+ *   word length or board count changes
+ * - App: Wrapper that provides the SettingsContext
  */
 
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { ConstraintProvider, useConstraints } from './context/ConstraintContext';
+import { SettingsProvider } from './context/SettingsContext';
+import { MultiBoardProvider } from './context/MultiBoardContext';
 import Header from './components/Header';
 import GreenRow from './components/GreenRow';
 import YellowRow from './components/YellowRow';
 import GrayRow from './components/GrayRow';
+import GuessRows from './components/GuessRows';
+import SegmentedControl from './components/SegmentedControl';
+import ImportModal from './components/ImportModal';
+import ShareLinkButton from './components/ShareLinkButton';
+import UndoRedoButtons from './components/UndoRedoButtons';
+import LetterHeatmap from './components/LetterHeatmap';
 import Keyboard from './components/Keyboard';
 import WordCloud from './components/WordCloud';
+import MiniBoard from './components/MiniBoard';
+import MultiGuessInput from './components/MultiGuessInput';
+import MultiBoardSummary from './components/MultiBoardSummary';
+import SuggestionsPanel from './components/SuggestionsPanel';
+import PracticePanel from './components/PracticePanel';
+import PastAnswersControl from './components/PastAnswersControl';
 import AboutSection from './components/AboutSection';
 import HelpModal from './components/HelpModal';
 import useTouchDevice from './hooks/useTouchDevice';
 import useResponsive from './hooks/useResponsive';
+import usePracticeGame from './hooks/usePracticeGame';
+import usePastAnswers from './hooks/usePastAnswers';
+import useSettings from './hooks/useSettings';
+import useMultiBoard from './hooks/useMultiBoard';
 import { useTypingMetrics } from './hooks/useTypingMetrics';
 import { getFaro } from './faro';
+import { ENTRY_MODES, WORD_LENGTH_OPTIONS, BOARD_COUNTS } from './constants';
+
+// Entry mode toggle options (separate letter rows vs whole guesses)
+const ENTRY_MODE_OPTIONS = [
+  { value: ENTRY_MODES.ROWS, label: 'Letter Rows' },
+  { value: ENTRY_MODES.GUESSES, label: 'Guesses' }
+];
+
+// Word length toggle options (Wordle clones use 4-11 letters)
+const WORD_LENGTH_TOGGLE_OPTIONS = WORD_LENGTH_OPTIONS.map(length => ({
+  value: length,
+  label: String(length),
+  title: `${length}-letter words (starts a new board)`
+}));
+
+// Board count toggle options (named after the games that play that many boards)
+const BOARD_COUNT_NAMES = { 1: 'Wordle', 2: 'Dordle', 4: 'Quordle', 8: 'Octordle' };
+const BOARD_COUNT_TOGGLE_OPTIONS = BOARD_COUNTS.map(count => ({
+  value: count,
+  label: BOARD_COUNT_NAMES[count],
+  title: count === 1 ? 'One board' : `${count} boards sharing the same guesses`
+}));
 
 /**
- * AppContent - The main app UI
- * Separated from App so it can use the useConstraints hook
+ * GameToggles - Word length and board count (both start a new game)
  */
-function AppContent() {
-  // Track which row and position is currently focused (for keyboard input)
-  const [focusedState, setFocusedState] = useState({ row: 'green', position: 0 });
+function GameToggles() {
+  const { settings, updateSetting } = useSettings();
+  return (
+    <>
+      <SegmentedControl
+        options={WORD_LENGTH_TOGGLE_OPTIONS}
+        value={settings.wordLength}
+        onChange={(length) => updateSetting('wordLength', length)}
+        size="sm"
+      />
+      <SegmentedControl
+        options={BOARD_COUNT_TOGGLE_OPTIONS}
+        value={settings.boardCount}
+        onChange={(count) => updateSetting('boardCount', count)}
+        size="sm"
+      />
+    </>
+  );
+}
 
-  // Detect touch devices to hide visual keyboard on mobile
+/**
+ * AppShell - Page chrome shared by single- and multi-board mode
+ * Renders the header, the two panels and the about section, and handles
+ * the global undo/redo shortcuts and typing metrics
+ */
+function AppShell({ undo, redo, leftPanel, rightPanel }) {
+  // Detect touch devices to skip entrance animations
   const isTouchDevice = useTouchDevice();
 
   // Detect screen size for responsive spacing
   const { isDesktop } = useResponsive();
 
-  // Get global actions from context
-  const { undo } = useConstraints();
-
   // Initialize typing metrics tracking (for fun!)
   const typingMetrics = useTypingMetrics();
 
-  // Called by rows when they receive focus
-  const handleFocusChange = (row, position = 0) => {
-    setFocusedState({ row, position });
-  };
-
   // Global keyboard shortcuts + typing metrics
   useEffect(() => {
     const handleGlobalKeyDown = (e) => {
-      // Ctrl+Z or Cmd+Z to undo
-      if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
-        e.preventDefault();
-        undo();
-        return;
+      if (e.ctrlKey || e.metaKey) {
+        const key = e.key.toLowerCase();
+
+        // Ctrl+Shift+Z / Cmd+Shift+Z or Ctrl+Y to redo
+        if ((key === 'z' && e.shiftKey) || key === 'y') {
+          e.preventDefault();
+          redo();
+          return;
+        }
+
+        // Ctrl+Z or Cmd+Z to undo
+        if (key === 'z') {
+          e.preventDefault();
+          undo();
+          return;
+        }
       }
 
       // Track typing activity (not shortcuts)
@@ -74,7 +148,7 @@ function AppContent() {
 
     window.addEventListener('keydown', handleGlobalKeyDown);
     return () => window.removeEventListener('keydown', handleGlobalKeyDown);
-  }, [undo, typingMetrics]);
+  }, [undo, redo, typingMetrics]);
 
   // Emit typing metrics to Faro when user leaves
   useEffect(() => {
@@ -140,26 +214,7 @@ function AppContent() {
             animate={{ opacity: 1, x: 0 }}
             transition={isTouchDevice ? { duration: 0 } : { duration: 0.6, delay: 0.2, ease: "easeOut" }}
           >
-            <GreenRow
-              isFocused={focusedState.row === 'green'}
-              focusedPosition={focusedState.row === 'green' ? focusedState.position : null}
-              onFocusChange={handleFocusChange}
-            />
-            <YellowRow
-              isFocused={focusedState.row === 'yellow'}
-              focusedPosition={focusedState.row === 'yellow' ? focusedState.position : null}
-              onFocusChange={handleFocusChange}
-            />
-            <GrayRow
-              isFocused={focusedState.row === 'gray'}
-              onFocusChange={handleFocusChange}
-            />
-            {/* Only show visual keyboard on desktop (not needed on mobile with native inputs) */}
-            {!isTouchDevice && (
-              <div className="hidden lg:block">
-                <Keyboard />
-              </div>
-            )}
+            {leftPanel}
           </motion.div>
 
           {/* Right Panel - Word cloud display (responsive width) */}
@@ -170,7 +225,7 @@ function AppContent() {
             animate={{ opacity: 1, x: 0 }}
             transition={isTouchDevice ? { duration: 0 } : { duration: 0.6, delay: 0.3, ease: "easeOut" }}
           >
-            <WordCloud />
+            {rightPanel}
           </motion.div>
         </div>
 
@@ -182,15 +237,220 @@ function AppContent() {
 }
 
 /**
- * App - Root wrapper component
- * Wraps AppContent with ConstraintProvider to give it access to global state
+ * AppContent - The single-board UI
+ * Separated from App so it can use the useConstraints hook
  */
-function App() {
+function AppContent() {
+  // Get global actions from context
+  const { undo, redo, canUndo, canRedo, entryMode, setEntryMode } = useConstraints();
+
+  // Track which row and position is currently focused (for keyboard input)
+  // Starts on the first row of the entry mode (which may be restored from a saved board)
+  const [focusedState, setFocusedState] = useState(() => ({
+    row: entryMode === ENTRY_MODES.GUESSES ? 'guess' : 'green',
+    position: 0
+  }));
+
+  // Focus that fits the current entry mode (undo can switch the mode back,
+  // leaving the focused row on screen no more): falls back to the first row
+  const isGuessRowFocused = focusedState.row === 'guess';
+  const focus = isGuessRowFocused === (entryMode === ENTRY_MODES.GUESSES)
+    ? focusedState
+    : { row: entryMode === ENTRY_MODES.GUESSES ? 'guess' : 'green', position: 0 };
+
+  // Detect touch devices to show the on-screen keyboard at the bottom
+  const isTouchDevice = useTouchDevice();
+
+  // Built-in practice game (guesses go through the guess rows)
+  const practice = usePracticeGame();
+
+  // Position long-pressed keys go to (only the green and yellow rows have one)
+  const keyboardPosition = focus.row === 'green' || focus.row === 'yellow' ? focus.position : null;
+
+  // Called by rows when they receive focus
+  const handleFocusChange = (row, position = 0) => {
+    setFocusedState({ row, position });
+  };
+
+  // Switch entry mode and move keyboard focus to the first row of that mode
+  const handleEntryModeChange = (mode) => {
+    setEntryMode(mode);
+    setFocusedState({ row: mode === ENTRY_MODES.GUESSES ? 'guess' : 'green', position: 0 });
+  };
+
+  // Start a practice game and put the cursor in the guess row
+  const handlePracticeStart = (seed) => {
+    const result = practice.startGame(seed);
+    if (result.success) handleFocusChange('guess', 0);
+    return result;
+  };
+
   return (
-    <ConstraintProvider>
+    <AppShell
+      undo={undo}
+      redo={redo}
+      leftPanel={
+        <>
+          <GameToggles />
+          <SegmentedControl
+            options={ENTRY_MODE_OPTIONS}
+            value={entryMode}
+            onChange={handleEntryModeChange}
+          />
+          <div className="flex flex-wrap justify-center gap-3">
+            <ImportModal onImported={() => handleFocusChange('guess', 0)} />
+            <ShareLinkButton />
+            <UndoRedoButtons undo={undo} redo={redo} canUndo={canUndo} canRedo={canRedo} />
+          </div>
+          <PracticePanel
+            game={practice.game}
+            status={practice.status}
+            guessesUsed={practice.guessesUsed}
+            onStart={handlePracticeStart}
+            onReveal={practice.revealAnswer}
+            onQuit={practice.quitGame}
+          />
+          {entryMode === ENTRY_MODES.GUESSES ? (
+            <GuessRows
+              isFocused={focus.row === 'guess'}
+              onFocusChange={handleFocusChange}
+              practice={practice.game && { answer: practice.game.answer, isOver: practice.status !== 'playing' }}
+            />
+          ) : (
+            <>
+              <GreenRow
+                isFocused={focus.row === 'green'}
+                focusedPosition={focus.row === 'green' ? focus.position : null}
+                onFocusChange={handleFocusChange}
+              />
+              <YellowRow
+                isFocused={focus.row === 'yellow'}
+                focusedPosition={focus.row === 'yellow' ? focus.position : null}
+                onFocusChange={handleFocusChange}
+              />
+              <GrayRow
+                isFocused={focus.row === 'gray'}
+                onFocusChange={handleFocusChange}
+              />
+            </>
+          )}
+          <LetterHeatmap />
+          {/* On-screen keyboard: clickable on large desktop screens, and the main */}
+          {/* input on touch devices (kept in reach at the bottom of the screen) */}
+          {isTouchDevice ? (
+            <div className="sticky bottom-2 z-20">
+              <Keyboard focusedPosition={keyboardPosition} />
+            </div>
+          ) : (
+            <div className="hidden lg:block">
+              <Keyboard focusedPosition={keyboardPosition} />
+            </div>
+          )}
+        </>
+      }
+      rightPanel={<WordCloud />}
+    />
+  );
+}
+
+/**
+ * MultiBoardContent - The multi-board UI
+ * Each board gets its own ConstraintProvider (saved under its own key);
+ * the shared draft, summary and suggestions come from MultiBoardContext
+ */
+function MultiBoardContent() {
+  const { boardCount, wordLength, reports, analysisPayload, setDraft, undo, redo, canUndo, canRedo } = useMultiBoard();
+  const { settings } = useSettings();
+  const pastAnswers = usePastAnswers(wordLength);
+
+  // Words still possible across the unsolved boards (for the suggestions panel)
+  const candidateCount = reports
+    .filter(report => report && !report.isSolved)
+    .reduce((total, report) => total + report.filteredWords.length, 0);
+
+  return (
+    <AppShell
+      undo={undo}
+      redo={redo}
+      leftPanel={
+        <>
+          <GameToggles />
+          <div className="flex flex-wrap justify-center gap-3">
+            <UndoRedoButtons undo={undo} redo={redo} canUndo={canUndo} canRedo={canRedo} />
+          </div>
+          <MultiGuessInput />
+          <MultiBoardSummary />
+          <PastAnswersControl pastAnswers={pastAnswers} />
+        </>
+      }
+      rightPanel={
+        <div className="flex flex-col items-center">
+          <div className={`w-full grid grid-cols-2 gap-3 ${boardCount === 8 ? 'lg:grid-cols-4' : ''}`}>
+            {Array.from({ length: boardCount }, (_, index) => (
+              <ConstraintProvider
+                key={index}
+                boardId={`${boardCount}-${index}`}
+                historyLimit={settings.undoHistoryLimit}
+                defaultEntryMode={ENTRY_MODES.GUESSES}
+              >
+                <MiniBoard index={index} />
+              </ConstraintProvider>
+            ))}
+          </div>
+
+          {/* Best next guesses across every unsolved board */}
+          {analysisPayload.boards.length > 0 && (
+            <SuggestionsPanel
+              type="suggestMulti"
+              payload={analysisPayload}
+              candidateCount={candidateCount}
+              onWordClick={setDraft}
+            />
+          )}
+        </div>
+      }
+    />
+  );
+}
+
+/**
+ * Board - Context for the current word length and board count
+ * Keyed by both, so switching either starts a fresh game
+ * (constraints for one length mean nothing for another)
+ */
+function Board() {
+  const { settings } = useSettings();
+
+  if (settings.boardCount > 1) {
+    return (
+      <MultiBoardProvider
+        key={`${settings.wordLength}-${settings.boardCount}`}
+        boardCount={settings.boardCount}
+        historyLimit={settings.undoHistoryLimit}
+      >
+        <MultiBoardContent />
+      </MultiBoardProvider>
+    );
+  }
+
+  return (
+    <ConstraintProvider key={settings.wordLength} historyLimit={settings.undoHistoryLimit}>
       <AppContent />
     </ConstraintProvider>
   );
 }
 
+/**
+ * App - Root wrapper component
+ * Wraps the board with SettingsProvider to give it access to global state
+ * (ConstraintProvider reads settings, so SettingsProvider must be outside it)
+ */
+function App() {
+  return (
+    <SettingsProvider>
+      <Board />
+    </SettingsProvider>
+  );
+}
+
 export default App;
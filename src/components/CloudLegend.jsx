@@ -0,0 +1,35 @@
+/**
+ * CLOUD LEGEND COMPONENT
+ *
+ * Explains what word size means in the cloud: words are ranked by how
+ * likely they are to be the answer (see utils/wordScore.js), and the
+ * likeliest ones are drawn biggest.
+ *
+ * Props:
+ * - shownCount: Number of words in the cloud
+ * - totalCount: Number of words that match
+ */
+
+export default function CloudLegend({ shownCount, totalCount }) {
+  if (totalCount === 0) return null;
+
+  return (
+    <div className="mt-3 flex flex-col items-center gap-1 text-sm text-gray-600 dark:text-gray-300 text-center">
+      {/* Size scale */}
+      <div className="flex items-baseline gap-2" aria-hidden="true">
+        <span>less likely</span>
+        <span className="text-xs font-extrabold">Aa</span>
+        <span className="text-base font-extrabold">Aa</span>
+        <span className="text-xl font-extrabold">Aa</span>
+        <span className="text-2xl font-extrabold">Aa</span>
+        <span>more likely</span>
+      </div>
+      <p className="max-w-md">
+        Bigger words are likelier: likely answers rank first, then words that
+        are common in everyday English and whose letters are most common among
+        the words left.
+        {shownCount < totalCount && ` Showing the top ${shownCount} of ${totalCount.toLocaleString()}.`}
+      </p>
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 /**
  * DEFINITION MODAL COMPONENT
  *
- * Displays word definitions fetched from the Free Dictionary API
+ * Displays word definitions (offline bundle or the Free Dictionary API)
  * Shows when user clicks on a word in the word cloud
  *
  * Features:
@@ -9,15 +9,20 @@
  * - Word pronunciation (phonetic)
  * - Multiple definitions with parts of speech
  * - Example sentences
- * - Loading and error states
+ * - Loading and error states ("not found" or "couldn't load"), with a retry button
  * - Click outside or ESC to close
+ *
+ * Props:
+ * - error: null, 'not-found' (no dictionary has the word) or 'failed'
+ *   (network error, timeout or server error)
+ * - onRetry: Called when "Try again" is clicked
  */
 
 import { motion, AnimatePresence } from 'framer-motion';
 import { useEffect } from 'react';
 import useTouchDevice from '../hooks/useTouchDevice';
 
-export default function DefinitionModal({ word, definition, isLoading, error, onClose }) {
+export default function DefinitionModal({ word, definition, isLoading, error, onClose, onRetry }) {
   const isTouchDevice = useTouchDevice();
   // FIX 2: Prevent body scroll when modal is open (iOS-friendly)
   useEffect(() => {
@@ -106,8 +111,23 @@ export default function DefinitionModal({ word, definition, isLoading, error, on
             {/* Error State */}
             {error && (
               <div className="bg-red-50 dark:bg-red-900/20 border-2 border-red-200 dark:border-red-700 rounded-2xl p-6 text-center">
-                <p className="text-red-600 dark:text-red-400 font-semibold text-xl">Definition not found</p>
-                <p className="text-red-500 dark:text-red-400 mt-2 text-base">Sorry, we couldn't find a definition for "{word}"</p>
+                {error === 'not-found' ? (
+                  <>
+                    <p className="text-red-600 dark:text-red-400 font-semibold text-xl">Definition not found</p>
+                    <p className="text-red-500 dark:text-red-400 mt-2 text-base">Sorry, we couldn't find a definition for "{word}"</p>
+                  </>
+                ) : (
+                  <>
+                    <p className="text-red-600 dark:text-red-400 font-semibold text-xl">Couldn't load definition</p>
+                    <p className="text-red-500 dark:text-red-400 mt-2 text-base">The dictionary didn't respond. Check your connection and try again.</p>
+                  </>
+                )}
+                <button
+                  onClick={onRetry}
+                  className="mt-4 px-5 py-2 rounded-full bg-gradient-to-r from-purple-500 to-blue-500 dark:from-purple-600 dark:to-blue-600 text-white font-semibold hover:opacity-90 transition-opacity"
+                >
+                  Try again
+                </button>
               </div>
             )}
 
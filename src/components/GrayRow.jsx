@@ -12,7 +12,9 @@
  * - Letters displayed as large badges in a flex container
  * - Click any letter to remove it
  * - Backspace removes the most recently added letter
- * - Error validation (can't add a letter that's already green/yellow)
+ * - Duplicate letter support: a letter that is also green/yellow means
+ *   "no extra copies" and shows the resulting cap (e.g., E ≤1)
+ * - Letters that contradict other constraints are outlined in red
  *
  * Keyboard shortcuts:
  * - A-Z: Add a letter to the gray list
@@ -24,22 +26,32 @@
  * - onFocusChange: Callback to change which row is focused
  */
 
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useMemo } from 'react';
 import { useConstraints } from '../context/ConstraintContext';
 import ErrorMessage from './ErrorMessage';
 import useTouchDevice from '../hooks/useTouchDevice';
+import useNativeInput from '../hooks/useNativeInput';
 import useKeyboardInput from '../hooks/useKeyboardInput';
-import { MOBILE_INPUT_PROPS, MAX_POSITION_INDEX } from '../constants';
+import { MOBILE_INPUT_PROPS, CONFLICT_TILE_CLASSES } from '../constants';
 import { validateLetter } from '../utils/validateLetter';
+import { getLetterCountConstraints } from '../utils/filterLogic';
+import { isTileInConflict } from '../utils/contradictions';
 
 export default function GrayRow({ isFocused, onFocusChange }) {
-  const { gray, addGray, removeGray } = useConstraints();
+  const { green, yellow, gray, conflicts, wordLength, addGray, removeGray } = useConstraints();
   const isTouchDevice = useTouchDevice();
+  const usesNativeInput = useNativeInput();
   const inputRef = useRef(null);
 
-  // Error message shown when validation fails (e.g., letter is already green/yellow)
+  // Error message shown when validation fails
   const [errorMessage, setErrorMessage] = useState(null);
 
+  // Letter count limits (a gray letter that is also green/yellow has max > 0)
+  const letterCounts = useMemo(
+    () => getLetterCountConstraints({ green, yellow, gray }),
+    [green, yellow, gray]
+  );
+
   // ========================================
   // KEYBOARD INPUT HANDLING (using custom hook)
   // ========================================
@@ -48,7 +60,7 @@ export default function GrayRow({ isFocused, onFocusChange }) {
   const handleLetterInput = (letter) => {
     const result = addGray(letter);
 
-    // Show error if validation failed (letter is already green/yellow)
+    // Show error if validation failed
     if (result && !result.success) {
       setErrorMessage(result.error);
     } else {
@@ -71,8 +83,8 @@ export default function GrayRow({ isFocused, onFocusChange }) {
 
   // Handle Shift+Tab reverse navigation (desktop only: go to last yellow position)
   const handleTabNavigateReverse = useCallback(() => {
-    onFocusChange('yellow', MAX_POSITION_INDEX);
-  }, [onFocusChange]);
+    onFocusChange('yellow', wordLength - 1);
+  }, [wordLength, onFocusChange]);
 
   // Handle Escape key (unfocus the row)
   const handleEscape = useCallback(() => {
@@ -90,7 +102,7 @@ export default function GrayRow({ isFocused, onFocusChange }) {
     onTabNavigate: handleTabNavigate,
     onTabNavigateReverse: handleTabNavigateReverse,
     onEscape: handleEscape,
-    isDesktopTabNavigation: !isTouchDevice,
+    isDesktopTabNavigation: !usesNativeInput,
   });
 
   // ========================================
@@ -131,13 +143,13 @@ export default function GrayRow({ isFocused, onFocusChange }) {
         {/*
           MOBILE vs DESKTOP INPUT STRATEGY:
 
-          Mobile (isTouchDevice):
+          Native inputs (usesNativeInput: touch device using the phone keyboard):
           - Single native <input> element to trigger mobile keyboard
           - Letters appear as removable badges when typed
           - Delete button (✕) always visible on badges (no hover needed)
           - Input autofocuses when clicking the container
 
-          Desktop (!isTouchDevice):
+          Display only (!usesNativeInput: desktop, or touch with the on-screen Keyboard):
           - No visible input (keyboard listener handles typing)
           - Delete button (✕) appears only on hover
           - Cleaner UI without input field clutter
@@ -153,13 +165,13 @@ export default function GrayRow({ isFocused, onFocusChange }) {
           className="min-h-24 bg-gray-50 dark:bg-gray-700 rounded-xl border-2 border-gray-200 dark:border-gray-600 p-4 pb-2 lg:pb-4 flex flex-wrap gap-2 justify-center items-center relative"
           onClick={() => {
             onFocusChange('gray', 0);
-            if (isTouchDevice && inputRef.current) {
+            if (usesNativeInput && inputRef.current) {
               inputRef.current.focus();
             }
           }}
         >
           {/* Hidden input for mobile keyboard trigger */}
-          {isTouchDevice && (
+          {usesNativeInput && (
             <input
               ref={inputRef}
               {...MOBILE_INPUT_PROPS}
@@ -199,9 +211,20 @@ export default function GrayRow({ isFocused, onFocusChange }) {
                   e.stopPropagation();
                   handleLetterRemove(letter);
                 }}
-                className="bg-gradient-to-br from-gray-200 to-gray-300 dark:from-gray-500 dark:to-gray-600 border border-gray-300 dark:border-gray-500 rounded-lg px-8 py-6 text-4xl font-bold text-gray-700 dark:text-gray-100 flex items-center justify-center cursor-pointer hover:from-gray-300 hover:to-gray-400 dark:hover:from-gray-400 dark:hover:to-gray-500 transition-all group shadow-md hover:shadow-lg relative"
+                className={`bg-gradient-to-br from-gray-200 to-gray-300 dark:from-gray-500 dark:to-gray-600 border border-gray-300 dark:border-gray-500 rounded-lg px-8 py-6 text-4xl font-bold text-gray-700 dark:text-gray-100 flex items-center justify-center cursor-pointer hover:from-gray-300 hover:to-gray-400 dark:hover:from-gray-400 dark:hover:to-gray-500 transition-all group shadow-md hover:shadow-lg relative ${
+                  isTileInConflict(conflicts, { letter }) ? CONFLICT_TILE_CLASSES : ''
+                }`}
               >
                 <span>{letter}</span>
+                {/* Count cap badge for duplicate letters (gray + green/yellow) */}
+                {letterCounts[letter]?.max > 0 && (
+                  <span
+                    className="absolute bottom-1 right-2 text-sm font-semibold text-gray-500 dark:text-gray-300"
+                    title={`Also green/yellow: at most ${letterCounts[letter].max} ${letter} in the word`}
+                  >
+                    ≤{letterCounts[letter].max}
+                  </span>
+                )}
                 <button
                   onClick={(e) => {
                     e.stopPropagation();
@@ -5,12 +5,13 @@
  * This is like filling in the exact spots you know from Wordle's green squares.
  *
  * Features:
- * - 5 tiles representing positions 0-4
+ * - One tile per position (word length from settings)
  * - Only one letter per position allowed
  * - Keyboard navigation (arrow keys, tab to move to next row)
  * - Auto-advance to next position after typing
  * - Click any tile to select it
  * - Backspace deletes current or previous letter
+ * - Letters that contradict other constraints are outlined in red
  *
  * Keyboard shortcuts:
  * - A-Z: Type a letter at the selected position
@@ -25,30 +26,35 @@
 
 import { useState, useRef, useCallback } from 'react';
 import { useConstraints } from '../context/ConstraintContext';
-import useTouchDevice from '../hooks/useTouchDevice';
+import useNativeInput from '../hooks/useNativeInput';
 import useKeyboardInput from '../hooks/useKeyboardInput';
-import { POSITION_INDICES, POSITION_LABELS, MOBILE_INPUT_PROPS, MAX_POSITION_INDEX } from '../constants';
+import { MOBILE_INPUT_PROPS, CONFLICT_TILE_CLASSES } from '../constants';
 import { validateLetter } from '../utils/validateLetter';
+import { getPositionIndices, getTileGridStyle, getTileTextClass } from '../utils/wordLength';
+import { isTileInConflict } from '../utils/contradictions';
 
 export default function GreenRow({ isFocused, focusedPosition, onFocusChange }) {
-  const { green, addGreen, removeGreen } = useConstraints();
-  const isTouchDevice = useTouchDevice();
+  const { green, conflicts, wordLength, addGreen, removeGreen } = useConstraints();
+  const usesNativeInput = useNativeInput();
   const inputRefs = useRef([]);
+  const positions = getPositionIndices(wordLength);
+  const maxPosition = wordLength - 1;
+  const tileTextClass = getTileTextClass(wordLength);
 
-  // Track which position (0-4) is currently selected
-  // On desktop, use focusedPosition from parent; on mobile, use local state
+  // Track which position (0 to maxPosition) is currently selected
+  // Display tiles use focusedPosition from parent; native inputs use local state
   const [localPosition, setLocalPosition] = useState(0);
-  const selectedPosition = !isTouchDevice && focusedPosition !== null ? focusedPosition : localPosition;
+  const selectedPosition = !usesNativeInput && focusedPosition !== null ? focusedPosition : localPosition;
 
-  // Helper to update position (desktop updates parent, mobile updates local state)
+  // Helper to update position (display tiles update parent, native inputs update local state)
   // Wrapped in useCallback to prevent stale closures
   const updatePosition = useCallback((newPosition) => {
-    if (!isTouchDevice) {
+    if (!usesNativeInput) {
       onFocusChange('green', newPosition);
     } else {
       setLocalPosition(newPosition);
     }
-  }, [isTouchDevice, onFocusChange]);
+  }, [usesNativeInput, onFocusChange]);
 
   // ========================================
   // KEYBOARD INPUT HANDLING (using custom hook)
@@ -58,7 +64,7 @@ export default function GreenRow({ isFocused, focusedPosition, onFocusChange })
   const handleLetterInput = (letter) => {
     addGreen(selectedPosition, letter);
     // Move to next position if not at the end
-    if (selectedPosition < MAX_POSITION_INDEX) {
+    if (selectedPosition < maxPosition) {
       updatePosition(selectedPosition + 1);
     }
   };
@@ -76,14 +82,14 @@ export default function GreenRow({ isFocused, focusedPosition, onFocusChange })
 
   // Handle Tab navigation (desktop only: move to next position or next row)
   const handleTabNavigate = useCallback(() => {
-    if (selectedPosition < MAX_POSITION_INDEX) {
+    if (selectedPosition < maxPosition) {
       // Move to next position within green row
       onFocusChange('green', selectedPosition + 1);
     } else {
       // Move to first position of yellow row
       onFocusChange('yellow', 0);
     }
-  }, [selectedPosition, onFocusChange]);
+  }, [selectedPosition, maxPosition, onFocusChange]);
 
   // Handle Shift+Tab reverse navigation (desktop only: move to previous position or previous row)
   const handleTabNavigateReverse = useCallback(() => {
@@ -108,6 +114,7 @@ export default function GreenRow({ isFocused, focusedPosition, onFocusChange })
     isFocused,
     hasPositions: true,
     selectedPosition,
+    maxPosition,
     onPositionChange: (pos) => updatePosition(pos),
     onLetterInput: handleLetterInput,
     onBackspace: handleBackspace,
@@ -115,7 +122,7 @@ export default function GreenRow({ isFocused, focusedPosition, onFocusChange })
     onTabNavigate: handleTabNavigate,
     onTabNavigateReverse: handleTabNavigateReverse,
     onEscape: handleEscape,
-    isDesktopTabNavigation: !isTouchDevice,
+    isDesktopTabNavigation: !usesNativeInput,
   });
 
   // ========================================
@@ -154,23 +161,25 @@ export default function GreenRow({ isFocused, focusedPosition, onFocusChange })
           Correct Letters (Green)
         </div>
         <div className="pb-8">
-          {/* Position labels (1-5) */}
-          <div className="grid grid-cols-5 gap-3 mb-2">
-          {POSITION_LABELS.map((num) => (
-            <div key={num} className="text-center text-sm font-bold text-gray-500 dark:text-gray-400">
-              {num}
+          {/* Position labels (1 to word length) */}
+          <div className="grid gap-3 mb-2" style={getTileGridStyle(wordLength)}>
+          {positions.map((position) => (
+            <div key={position} className="text-center text-sm font-bold text-gray-500 dark:text-gray-400">
+              {position + 1}
             </div>
           ))}
         </div>
-        {/* Tile grid: 5 letter tiles */}
-        <div className="grid grid-cols-5 gap-3">
-          {POSITION_INDICES.map((position) => {
-            const baseClasses = `aspect-square rounded-xl border-2 flex items-center justify-center text-5xl font-bold relative group transition-all shadow-md hover:shadow-lg ${
+        {/* Tile grid: one letter tile per position */}
+        <div className="grid gap-3" style={getTileGridStyle(wordLength)}>
+          {positions.map((position) => {
+            const baseClasses = `aspect-square rounded-xl border-2 flex items-center justify-center ${tileTextClass} font-bold relative group transition-all shadow-md hover:shadow-lg ${
               green[position]
                 ? 'bg-gradient-to-br from-green-400 to-green-600 border-green-600 text-white'
                 : isFocused && selectedPosition === position
                 ? 'border-green-500 dark:border-green-400 bg-gradient-to-br from-green-50 to-green-100 dark:from-green-950 dark:to-green-900 shadow-green-200 dark:shadow-green-900'
                 : 'bg-gray-50 dark:bg-gray-700 border-gray-200 dark:border-gray-600 hover:border-green-300 dark:hover:border-green-500'
+            } ${
+              isTileInConflict(conflicts, { letter: green[position], position }) ? CONFLICT_TILE_CLASSES : ''
             }`;
 
             return (
@@ -185,13 +194,13 @@ export default function GreenRow({ isFocused, focusedPosition, onFocusChange })
                 {/*
                   MOBILE vs DESKTOP INPUT STRATEGY:
 
-                  Mobile (isTouchDevice):
+                  Native inputs (usesNativeInput: touch device using the phone keyboard):
                   - Uses native <input> elements to trigger mobile keyboard
                   - Each tile has its own focusable input
                   - onChange handles validation and auto-advance
                   - Better UX on touchscreens (native keyboard, autocorrect disabled)
 
-                  Desktop (!isTouchDevice):
+                  Display only (!usesNativeInput: desktop, or touch with the on-screen Keyboard):
                   - Uses <div> display-only elements
                   - Keyboard input handled globally via useKeyboardInput hook
                   - Allows arrow key navigation and custom keyboard shortcuts
@@ -202,7 +211,7 @@ export default function GreenRow({ isFocused, focusedPosition, onFocusChange })
                   - Desktop benefits from global keyboard listener (Tab, arrows, etc.)
                   - Native inputs on mobile provide better accessibility (screen readers, autocomplete)
                 */}
-                {isTouchDevice ? (
+                {usesNativeInput ? (
                   // Mobile: Native input element for mobile keyboard support
                   <input
                     ref={(el) => (inputRefs.current[position] = el)}
@@ -214,7 +223,7 @@ export default function GreenRow({ isFocused, focusedPosition, onFocusChange })
                         if (letter) {
                           addGreen(position, letter);
                           // Auto-advance to next input
-                          if (position < MAX_POSITION_INDEX && inputRefs.current[position + 1]) {
+                          if (position < maxPosition && inputRefs.current[position + 1]) {
                             inputRefs.current[position + 1].focus();
                           }
                         } else {
@@ -230,7 +239,7 @@ export default function GreenRow({ isFocused, focusedPosition, onFocusChange })
                         e.target.scrollIntoView({ behavior: 'smooth', block: 'center' });
                       }, 300);
                     }}
-                    className="w-full h-full bg-transparent border-0 outline-none text-center text-5xl font-bold text-white caret-transparent"
+                    className={`w-full h-full bg-transparent border-0 outline-none text-center ${tileTextClass} font-bold text-white caret-transparent`}
                     style={{ caretColor: 'transparent' }}
                   />
                 ) : (
@@ -0,0 +1,290 @@
+/**
+ * GUESS ROWS COMPONENT
+ *
+ * Guess-row entry mode: enter constraints the way the game shows them.
+ * Type a whole guess, tap each tile to set its color, then submit the row.
+ * ConstraintContext derives green/yellow/gray and letter counts from the guesses.
+ *
+ * Features:
+ * - Submitted guesses shown as colored tile rows (newest at the bottom)
+ * - Tap a submitted tile to fix its color, ✕ to remove the whole guess
+ * - Tiles that contradict other guesses (or unknown words) are outlined in red
+ * - Draft row: typed letters start gray, tap to cycle gray → yellow → green
+ * - Enter (or the Submit button) adds the draft to the guess stack
+ * - Practice game: tiles are colored automatically against the practice
+ *   answer, only listed words are accepted, and guesses can't be recolored
+ *
+ * Keyboard shortcuts:
+ * - A-Z: Type the next letter of the draft guess
+ * - Backspace: Delete the last draft letter
+ * - Enter: Submit the draft guess
+ *
+ * Props:
+ * - isFocused: Whether this row has keyboard focus
+ * - onFocusChange: Callback to change which row is focused
+ * - practice: { answer, isOver } while a practice game runs (optional)
+ */
+
+import { useState, useRef, useCallback } from 'react';
+import { useConstraints } from '../context/ConstraintContext';
+import ErrorMessage from './ErrorMessage';
+import useTouchDevice from '../hooks/useTouchDevice';
+import useNativeInput from '../hooks/useNativeInput';
+import useKeyboardInput from '../hooks/useKeyboardInput';
+import { MOBILE_INPUT_PROPS, CONFLICT_TILE_CLASSES, GUESS_TILE_TEXT_SIZES } from '../constants';
+import { validateLetter } from '../utils/validateLetter';
+import { nextTileColor, scoreGuess } from '../utils/guessLogic';
+import { isValidWord } from '../utils/wordLists';
+import { isTileInConflict } from '../utils/contradictions';
+import { getPositionIndices, getTileGridStyle, getTileTextClass } from '../utils/wordLength';
+
+// Creates a fresh set of draft tile colors (all gray, like an unscored guess)
+const createDraftColors = (wordLength) => getPositionIndices(wordLength).map(() => 'gray');
+
+// Tailwind classes for a tile based on its color and the word length
+const getTileClasses = (color, hasLetter, wordLength) => {
+  const baseClasses = `aspect-square rounded-xl border-2 flex items-center justify-center ${getTileTextClass(wordLength, GUESS_TILE_TEXT_SIZES)} font-bold transition-all shadow-md hover:shadow-lg cursor-pointer select-none uppercase`;
+
+  if (!hasLetter) {
+    return `${baseClasses} bg-gray-50 dark:bg-gray-700 border-gray-200 dark:border-gray-600`;
+  }
+
+  switch (color) {
+    case 'green':
+      return `${baseClasses} bg-gradient-to-br from-green-400 to-green-600 border-green-600 text-white`;
+    case 'yellow':
+      return `${baseClasses} bg-gradient-to-br from-yellow-300 to-yellow-500 border-yellow-500 text-white`;
+    default:
+      return `${baseClasses} bg-gradient-to-br from-gray-400 to-gray-600 border-gray-600 text-white`;
+  }
+};
+
+export default function GuessRows({ isFocused, onFocusChange, practice = null }) {
+  const { guesses, conflicts, wordLength, submitGuess, updateGuessColors, removeGuess } = useConstraints();
+  const isTouchDevice = useTouchDevice();
+  const usesNativeInput = useNativeInput();
+  const inputRef = useRef(null);
+  const positions = getPositionIndices(wordLength);
+
+  // Draft guess being typed (letters) and its tile colors
+  const [draftLetters, setDraftLetters] = useState('');
+  const [draftColors, setDraftColors] = useState(() => createDraftColors(wordLength));
+
+  // Error message shown when validation fails (e.g., submitting a partial word)
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  // ========================================
+  // DRAFT EDITING
+  // ========================================
+
+  // Add a letter to the end of the draft (ignored once the row is full)
+  const handleLetterInput = (letter) => {
+    if (draftLetters.length < wordLength) {
+      setDraftLetters(prev => prev + letter);
+    }
+  };
+
+  // Remove the last draft letter and reset its color
+  const handleBackspace = () => {
+    if (draftLetters.length === 0) return;
+
+    const lastIndex = draftLetters.length - 1;
+    setDraftLetters(prev => prev.slice(0, -1));
+    setDraftColors(prev => prev.map((color, i) => (i === lastIndex ? 'gray' : color)));
+  };
+
+  // Submit the draft as a new guess
+  const handleSubmit = () => {
+    if (draftLetters.length < wordLength) {
+      setErrorMessage(`Type all ${wordLength} letters first`);
+      return;
+    }
+
+    if (practice?.isOver) {
+      setErrorMessage('Game over - start a new practice game');
+      return;
+    }
+
+    if (practice && !isValidWord(draftLetters)) {
+      setErrorMessage(`${draftLetters} is not in the word list`);
+      return;
+    }
+
+    // Practice games score the guess; otherwise the colors are the ones tapped in
+    const colors = practice ? scoreGuess(draftLetters, practice.answer) : draftColors;
+    const result = submitGuess(draftLetters, colors);
+    if (!result.success) {
+      setErrorMessage(result.error);
+      return;
+    }
+
+    setErrorMessage(null);
+    setDraftLetters('');
+    setDraftColors(createDraftColors(wordLength));
+  };
+
+  // Cycle a draft tile's color (only tiles that have a letter; practice games color themselves)
+  const handleDraftTileClick = (position) => {
+    if (practice || position >= draftLetters.length) return;
+    setDraftColors(prev => prev.map((color, i) => (i === position ? nextTileColor(color) : color)));
+  };
+
+  // Cycle the color of a tile in an already submitted guess
+  const handleGuessTileClick = (guessIndex, position) => {
+    if (practice) return;
+    const { colors } = guesses[guessIndex];
+    updateGuessColors(
+      guessIndex,
+      colors.map((color, i) => (i === position ? nextTileColor(color) : color))
+    );
+  };
+
+  // Handle Escape key (reset focus to this row)
+  const handleEscape = useCallback(() => {
+    onFocusChange('guess', 0);
+  }, [onFocusChange]);
+
+  // Use consolidated keyboard handling hook (Tab stays on the only row)
+  useKeyboardInput({
+    isFocused,
+    hasPositions: false,
+    onLetterInput: handleLetterInput,
+    onBackspace: handleBackspace,
+    onTabPress: () => onFocusChange('guess', 0),
+    onEscape: handleEscape,
+    onEnter: handleSubmit,
+  });
+
+  // ========================================
+  // RENDER
+  // ========================================
+
+  return (
+    // Outer container: Changes border color when focused
+    <div
+      onClick={() => onFocusChange('guess', 0)}
+      className={`bg-white dark:bg-gray-800 rounded-2xl cursor-pointer transition-all relative shadow-lg border-4 ${
+        isFocused
+          ? 'border-purple-400 dark:border-purple-500 shadow-purple-200/50 dark:shadow-purple-900/50'
+          : 'border-purple-300 dark:border-purple-600 hover:border-purple-400 dark:hover:border-purple-500 hover:shadow-xl'
+      }`}
+      style={{ padding: '20px' }}
+    >
+      {/* Error message (shown at top when validation fails) */}
+      <ErrorMessage message={errorMessage} onClose={() => setErrorMessage(null)} />
+
+      {/* Row title */}
+      <div className="text-base font-semibold text-purple-600 dark:text-purple-400 mb-3 text-center">
+        Your Guesses
+      </div>
+
+      <div className="flex flex-col gap-3">
+        {/* Submitted guesses: tap a tile to fix its color */}
+        {guesses.map((guess, guessIndex) => (
+          <div key={`${guess.word}-${guessIndex}`} className="flex items-center gap-3">
+            <div className="grid gap-3 flex-1" style={getTileGridStyle(wordLength)}>
+              {positions.map((position) => (
+                <div
+                  key={position}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleGuessTileClick(guessIndex, position);
+                  }}
+                  className={`${getTileClasses(guess.colors[position], true, wordLength)} ${
+                    isTileInConflict(conflicts, { letter: guess.word[position], position, guessIndex })
+                      ? CONFLICT_TILE_CLASSES
+                      : ''
+                  }`}
+                >
+                  {guess.word[position]}
+                </div>
+              ))}
+            </div>
+            {!practice && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  removeGuess(guessIndex);
+                }}
+                className="w-8 h-8 flex items-center justify-center text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 rounded-full transition-colors"
+                aria-label={`Remove guess ${guess.word}`}
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+
+        {/* Draft row: typed letters, tap tiles to color them */}
+        <div className="flex items-center gap-3">
+          <div
+            className="grid gap-3 flex-1 relative"
+            style={getTileGridStyle(wordLength)}
+            onClick={() => {
+              if (usesNativeInput && inputRef.current) {
+                inputRef.current.focus();
+              }
+            }}
+          >
+            {/* Hidden input for mobile keyboard trigger */}
+            {usesNativeInput && (
+              <input
+                ref={inputRef}
+                {...MOBILE_INPUT_PROPS}
+                value=""
+                onChange={(e) => {
+                  const letter = validateLetter(e.target.value);
+                  if (letter) {
+                    handleLetterInput(letter);
+                    e.target.value = ''; // Clear input for next letter
+                  }
+                }}
+                onKeyDown={(e) => {
+                  if (e.key === 'Backspace') handleBackspace();
+                  if (e.key === 'Enter') handleSubmit();
+                }}
+                onFocus={() => onFocusChange('guess', 0)}
+                className="absolute opacity-0 pointer-events-none w-0 h-0"
+                aria-label="Type your guess"
+              />
+            )}
+            {positions.map((position) => {
+              const letter = draftLetters[position];
+              return (
+                <div
+                  key={position}
+                  onClick={(e) => {
+                    if (!letter) return; // Let empty tiles focus the mobile input
+                    e.stopPropagation();
+                    handleDraftTileClick(position);
+                  }}
+                  className={`${getTileClasses(draftColors[position], Boolean(letter), wordLength)} ${
+                    isFocused && position === draftLetters.length ? 'border-purple-500 dark:border-purple-400' : ''
+                  }`}
+                >
+                  {letter || ''}
+                </div>
+              );
+            })}
+          </div>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              handleSubmit();
+            }}
+            className="px-3 h-10 rounded-full bg-gradient-to-br from-purple-500 to-indigo-600 text-white text-sm font-bold shadow-md hover:shadow-lg transition-all"
+          >
+            Submit
+          </button>
+        </div>
+
+        {/* Hint */}
+        <div className="text-sm text-gray-500 dark:text-gray-400 text-center">
+          {practice
+            ? `${isTouchDevice ? 'Tap to type' : 'Type a guess'} and submit - the tiles color themselves`
+            : `${isTouchDevice ? 'Tap to type' : 'Type a guess'}, tap tiles to color them, then submit`}
+        </div>
+      </div>
+    </div>
+  );
+}
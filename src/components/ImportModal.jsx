@@ -0,0 +1,174 @@
+/**
+ * IMPORT MODAL COMPONENT
+ *
+ * Button + modal for importing a whole game from Wordle's share text.
+ * Paste the emoji grid (🟩🟨⬛ rows) and the guessed words, and every
+ * row is replayed into ConstraintContext as guesses.
+ *
+ * Features:
+ * - Two text areas: share grid and guessed words
+ * - Validation errors shown inline (row/word count mismatch, bad words)
+ * - Switches to guess entry mode on success
+ * - Click outside or ESC to close
+ *
+ * Props:
+ * - onImported: Called after a successful import (e.g., to move keyboard focus)
+ */
+
+import { useState, useEffect } from 'react';
+// eslint-disable-next-line no-unused-vars -- used as <motion.div> (ESLint doesn't see JSX member expressions)
+import { motion, AnimatePresence } from 'framer-motion';
+import { useConstraints } from '../context/ConstraintContext';
+import useTouchDevice from '../hooks/useTouchDevice';
+import { importShareText } from '../utils/shareImport';
+
+export default function ImportModal({ onImported }) {
+  const { importGuesses, wordLength } = useConstraints();
+  const isTouchDevice = useTouchDevice();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [shareText, setShareText] = useState('');
+  const [wordsText, setWordsText] = useState('');
+  const [error, setError] = useState(null);
+
+  // Prevent body scroll when modal is open (iOS-friendly)
+  useEffect(() => {
+    if (isOpen) {
+      const scrollY = window.scrollY;
+      document.body.style.position = 'fixed';
+      document.body.style.top = `-${scrollY}px`;
+      document.body.style.width = '100%';
+
+      return () => {
+        document.body.style.position = '';
+        document.body.style.top = '';
+        document.body.style.width = '';
+        window.scrollTo(0, scrollY);
+      };
+    }
+  }, [isOpen]);
+
+  // Close modal on ESC key
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && isOpen) {
+        setIsOpen(false);
+      }
+    };
+
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen]);
+
+  const handleImport = () => {
+    const result = importShareText(shareText, wordsText, wordLength);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    importGuesses(result.guesses);
+    setError(null);
+    setShareText('');
+    setWordsText('');
+    setIsOpen(false);
+    onImported?.();
+  };
+
+  // Stop row keyboard handlers from treating typing in the text areas as letter input
+  const stopKeyPropagation = (e) => {
+    if (e.key !== 'Escape') {
+      e.nativeEvent.stopImmediatePropagation();
+    }
+  };
+
+  return (
+    <>
+      {/* Open button */}
+      <button
+        onClick={() => setIsOpen(true)}
+        className="self-center px-5 py-2 rounded-full bg-white dark:bg-gray-800 border-2 border-purple-300 dark:border-purple-600 text-purple-700 dark:text-purple-300 text-base font-semibold shadow-md hover:shadow-lg hover:border-purple-400 dark:hover:border-purple-500 transition-all"
+      >
+        📋 Import Shared Game
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            className="fixed inset-0 z-50 flex items-center justify-center p-4"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+          >
+            {/* Backdrop - no blur on mobile for performance */}
+            <div
+              className={`absolute inset-0 ${isTouchDevice ? 'bg-black/70' : 'bg-black/50 backdrop-blur-sm'}`}
+              onClick={() => setIsOpen(false)}
+            />
+
+            {/* Modal Content */}
+            <motion.div
+              className="relative bg-gradient-to-br from-purple-50 to-indigo-50 dark:from-gray-800 dark:to-purple-900 rounded-3xl shadow-2xl max-w-xl w-full max-h-[90vh] overflow-y-auto"
+              initial={{ scale: 0.9, y: 20 }}
+              animate={{ scale: 1, y: 0 }}
+              exit={{ scale: 0.9, y: 20 }}
+              transition={{ type: "spring", damping: 25, stiffness: 300 }}
+            >
+              {/* Header */}
+              <div className="bg-gradient-to-br from-purple-600 to-indigo-700 rounded-t-3xl px-8 py-6 text-center">
+                <h2 className="text-3xl font-bold text-white">Import Shared Game</h2>
+              </div>
+
+              {/* Body */}
+              <div className="px-8 py-6 flex flex-col gap-4" onKeyDown={stopKeyPropagation}>
+                <label className="flex flex-col gap-2">
+                  <span className="font-semibold text-gray-800 dark:text-gray-200">Share text</span>
+                  <textarea
+                    value={shareText}
+                    onChange={(e) => setShareText(e.target.value)}
+                    rows={7}
+                    placeholder={'Wordle 1,234 4/6\n\n⬛🟨⬛⬛⬛\n⬛⬛🟩🟨⬛\n🟩🟩🟩⬛⬛\n🟩🟩🟩🟩🟩'}
+                    className="rounded-xl border-2 border-purple-200 dark:border-purple-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 p-3 outline-none focus:border-purple-400"
+                  />
+                </label>
+                <label className="flex flex-col gap-2">
+                  <span className="font-semibold text-gray-800 dark:text-gray-200">Your guesses (one per row, in order)</span>
+                  <textarea
+                    value={wordsText}
+                    onChange={(e) => setWordsText(e.target.value)}
+                    rows={4}
+                    placeholder={'CRANE\nSPILT\nSHIRE\nSHIRT'}
+                    className="rounded-xl border-2 border-purple-200 dark:border-purple-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 p-3 outline-none focus:border-purple-400 uppercase"
+                    autoComplete="off"
+                    autoCorrect="off"
+                    spellCheck="false"
+                  />
+                </label>
+
+                {/* Validation error */}
+                {error && (
+                  <p className="text-red-600 dark:text-red-400 font-medium">{error}</p>
+                )}
+
+                <div className="flex justify-end gap-3">
+                  <button
+                    onClick={() => setIsOpen(false)}
+                    className="px-5 py-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-white/60 dark:hover:bg-white/10 font-semibold transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleImport}
+                    className="px-5 py-2 rounded-full bg-gradient-to-br from-purple-500 to-indigo-600 text-white font-bold shadow-md hover:shadow-lg transition-all"
+                  >
+                    Import
+                  </button>
+                </div>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </>
+  );
+}
@@ -1,8 +1,17 @@
 /**
  * KEYBOARD COMPONENT
  *
- * Visual QWERTY keyboard that displays the status of each letter.
- * This is a read-only display component - you can't click the keys to type.
+ * On-screen QWERTY keyboard that displays the status of each letter
+ * and doubles as an input device.
+ *
+ * Interaction:
+ * - Tap/click a key: types the letter into the focused row (same as a physical key press)
+ * - Long-press a letter: cycles its status unused → gray → yellow → green → unused
+ *   at the position selected in the green or yellow row (other positions keep
+ *   their tiles, and another green letter is never replaced; rows entry mode only)
+ * - Enter and ⌫ keys work like the physical keys
+ * - On touch devices the keyboard replaces the phone keyboard, unless
+ *   "Phone keyboard" is switched on (then rows use native inputs again)
  *
  * Color coding matches Wordle:
  * - Green: Letter is in the word AND in the correct position
@@ -13,24 +22,67 @@
  * Priority order: If a letter is both green and yellow (e.g., multiple
  * instances of the same letter), green takes priority in the display.
  *
+ * Frequency overlay (optional, remembered in settings):
+ * - Untouched keys are shaded by how many remaining words contain the letter
+ * - Hover a key to see the exact count
+ * - Letters no remaining word contains are faded (not worth testing)
+ *
  * Features:
  * - Standard QWERTY layout (3 rows)
  * - Auto-updates colors as you add constraints
  * - Keyboard shortcut hints at the bottom
  */
 
-import { useMemo } from 'react';
+import { useState, useMemo, useRef, useEffect } from 'react';
 import { useConstraints } from '../context/ConstraintContext';
+import useSettings from '../hooks/useSettings';
+import ErrorMessage from './ErrorMessage';
+import useTouchDevice from '../hooks/useTouchDevice';
+import { getLetterWordCounts } from '../utils/letterStats';
+import { LETTER_HEAT_RGB, LONG_PRESS_MS } from '../constants';
 
-// Standard QWERTY keyboard layout (3 rows)
+// Standard QWERTY keyboard layout (3 rows, Enter and Backspace on the last row like Wordle)
 const KEYBOARD_LAYOUT = [
   ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
   ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
-  ['Z', 'X', 'C', 'V', 'B', 'N', 'M']
+  ['Enter', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'Backspace']
 ];
 
-export default function Keyboard() {
-  const { green, yellow, gray } = useConstraints();
+// Labels for the non-letter keys
+const SPECIAL_KEY_LABELS = {
+  Enter: 'Enter',
+  Backspace: '⌫'
+};
+
+const isLetterKey = (key) => key.length === 1;
+
+// Sends a key to the focused row through the same window keydown listener
+// a physical key press goes through (see useKeyboardInput)
+const dispatchKey = (key) => {
+  window.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+};
+
+export default function Keyboard({ focusedPosition = null }) {
+  const { green, yellow, gray, filteredWords, cycleLetterStatus } = useConstraints();
+  const { settings, updateSetting } = useSettings();
+  const isTouchDevice = useTouchDevice();
+  const showFrequency = settings.keyboardFrequency;
+
+  // Error message shown when a long-press can't change a letter (e.g., guess mode)
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  // Long-press tracking: pending timer, and whether it already fired for this press
+  const pressTimerRef = useRef(null);
+  const longPressFiredRef = useRef(false);
+
+  // Clear any pending long-press timer on unmount
+  useEffect(() => () => clearTimeout(pressTimerRef.current), []);
+
+  // Number of remaining words containing each letter (only computed when the overlay is on)
+  const letterWordCounts = useMemo(
+    () => (showFrequency ? getLetterWordCounts(filteredWords) : null),
+    [showFrequency, filteredWords]
+  );
 
   // ========================================
   // COLOR LOGIC
@@ -71,15 +123,52 @@ export default function Keyboard() {
     return (letter) => colorMap[letter] || 'default';
   }, [green, yellow, gray]);
 
+  // ========================================
+  // PRESS HANDLING
+  // ========================================
+
+  // Start a press: letters arm a long-press timer, other keys fire on release
+  const handlePointerDown = (key) => {
+    longPressFiredRef.current = false;
+    clearTimeout(pressTimerRef.current);
+    if (!isLetterKey(key)) return;
+
+    pressTimerRef.current = setTimeout(() => {
+      longPressFiredRef.current = true;
+      const result = cycleLetterStatus(key, focusedPosition);
+      if (!result.success && result.error) {
+        setErrorMessage(result.error);
+      }
+    }, LONG_PRESS_MS);
+  };
+
+  // End a press: a short press types the key (a long-press already did its thing)
+  const handlePointerUp = (key) => {
+    clearTimeout(pressTimerRef.current);
+    if (!longPressFiredRef.current) {
+      dispatchKey(key);
+    }
+  };
+
+  // Finger/mouse left the key: cancel without typing
+  const cancelPress = () => {
+    clearTimeout(pressTimerRef.current);
+    longPressFiredRef.current = true;
+  };
+
   // ========================================
   // STYLING
   // ========================================
 
   // Returns Tailwind classes for a key based on its color
+  // Touch devices get compact keys that fit a phone screen
   const getKeyClasses = (letter) => {
-    const color = getLetterColor(letter);
+    const color = isLetterKey(letter) ? getLetterColor(letter) : 'default';
 
-    const baseClasses = 'px-10 py-8 rounded-lg font-bold text-xl transition-all shadow-md hover:shadow-lg transform hover:scale-105';
+    const sizeClasses = isTouchDevice
+      ? `${isLetterKey(letter) ? 'flex-1' : 'flex-[1.5] text-sm'} py-4 text-lg`
+      : `${isLetterKey(letter) ? 'px-10' : 'px-5 text-base'} py-8 text-xl`;
+    const baseClasses = `${sizeClasses} rounded-lg font-bold transition-all shadow-md hover:shadow-lg transform hover:scale-105 select-none touch-manipulation`;
 
     switch (color) {
       case 'green':
@@ -89,32 +178,102 @@ export default function Keyboard() {
       case 'gray':
         return `${baseClasses} bg-gradient-to-br from-gray-400 to-gray-600 text-white`;
       default:
+        // Frequency overlay: flat background so the inline shade shows through
+        if (letterWordCounts && isLetterKey(letter)) {
+          const share = getLetterShare(letter);
+          return `${baseClasses} bg-gray-100 dark:bg-gray-700 ${
+            share > 0.4 ? 'text-white' : 'text-gray-800 dark:text-gray-100'
+          } ${share === 0 ? 'opacity-40' : ''}`;
+        }
         return `${baseClasses} bg-gradient-to-br from-gray-100 to-gray-200 dark:from-gray-600 dark:to-gray-700 text-gray-800 dark:text-gray-100 hover:from-gray-200 hover:to-gray-300 dark:hover:from-gray-500 dark:hover:to-gray-600`;
     }
   };
 
+  // Share of remaining words (0-1) that contain a letter
+  const getLetterShare = (letter) => (
+    filteredWords.length > 0 ? letterWordCounts[letter] / filteredWords.length : 0
+  );
+
+  // Inline shade + hover text for untouched keys when the overlay is on
+  const getFrequencyProps = (letter) => {
+    if (!letterWordCounts || !isLetterKey(letter) || getLetterColor(letter) !== 'default') return {};
+
+    const count = letterWordCounts[letter];
+    const share = getLetterShare(letter);
+    return {
+      style: { backgroundColor: `rgba(${LETTER_HEAT_RGB}, ${Math.sqrt(share)})` },
+      title: `${letter}: in ${count.toLocaleString()} of ${filteredWords.length.toLocaleString()} words (${Math.round(share * 100)}%)`
+    };
+  };
+
   // ========================================
   // RENDER
   // ========================================
 
   return (
     <div
-      className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg border-4 border-pink-300 dark:border-purple-600 hover:border-pink-400 dark:hover:border-purple-500 transition-all"
-      style={{ padding: '24px' }}
+      className="relative bg-white dark:bg-gray-800 rounded-2xl shadow-lg border-4 border-pink-300 dark:border-purple-600 hover:border-pink-400 dark:hover:border-purple-500 transition-all"
+      style={{ padding: isTouchDevice ? '12px' : '24px' }}
     >
+      {/* Error message (shown at top when a long-press is rejected) */}
+      <ErrorMessage message={errorMessage} onClose={() => setErrorMessage(null)} />
+
+      {/* Toggles: phone keyboard (touch only) and frequency overlay */}
+      <div className="flex justify-end gap-2 mb-3">
+        {isTouchDevice && (
+          <button
+            onClick={() => updateSetting('nativeKeyboard', !settings.nativeKeyboard)}
+            className={`px-3 py-1 rounded-full text-sm font-semibold transition-colors ${
+              settings.nativeKeyboard
+                ? 'bg-purple-600 text-white'
+                : 'text-purple-600 dark:text-purple-300 hover:bg-purple-50 dark:hover:bg-purple-900/30'
+            }`}
+            aria-pressed={settings.nativeKeyboard}
+            title="Type with your phone's keyboard instead of this one"
+          >
+            Phone keyboard
+          </button>
+        )}
+        <button
+          onClick={() => updateSetting('keyboardFrequency', !showFrequency)}
+          className={`px-3 py-1 rounded-full text-sm font-semibold transition-colors ${
+            showFrequency
+              ? 'bg-purple-600 text-white'
+              : 'text-purple-600 dark:text-purple-300 hover:bg-purple-50 dark:hover:bg-purple-900/30'
+          }`}
+          aria-pressed={showFrequency}
+          title="Shade untouched keys by how many remaining words contain them"
+        >
+          Letter frequency
+        </button>
+      </div>
+
       {/* Keyboard layout: 3 rows in QWERTY format */}
-      <div className="flex flex-col gap-4">
+      <div className={`flex flex-col ${isTouchDevice ? 'gap-2' : 'gap-4'}`}>
         {KEYBOARD_LAYOUT.map((row, rowIndex) => (
-          <div key={rowIndex} className="flex justify-center gap-2.5">
-            {row.map((letter) => (
-              <div
-                key={letter}
-                className={getKeyClasses(letter)}
-                style={{ minWidth: '40px', textAlign: 'center' }}
-              >
-                {letter}
-              </div>
-            ))}
+          <div key={rowIndex} className={`flex justify-center ${isTouchDevice ? 'gap-1' : 'gap-2.5'}`}>
+            {row.map((key) => {
+              const { style, title } = getFrequencyProps(key);
+              return (
+                <button
+                  key={key}
+                  type="button"
+                  tabIndex={-1} // Keep focus off the keys so physical Enter/Space don't re-press them
+                  onPointerDown={() => handlePointerDown(key)}
+                  onPointerUp={() => handlePointerUp(key)}
+                  onPointerLeave={cancelPress}
+                  onPointerCancel={cancelPress}
+                  onMouseDown={(e) => e.preventDefault()}
+                  onContextMenu={(e) => e.preventDefault()} // No long-press menu on phones
+                  className={getKeyClasses(key)}
+                  style={{ minWidth: isTouchDevice ? 0 : '40px', textAlign: 'center', ...style }}
+                  title={title}
+                  aria-label={key === 'Backspace' ? 'Backspace' : key}
+                >
+                  {SPECIAL_KEY_LABELS[key] ?? key}
+                </button>
+              );
+            })}
           </div>
         ))}
       </div>
@@ -0,0 +1,107 @@
+/**
+ * LETTER HEATMAP COMPONENT
+ *
+ * Shows how often each letter appears at each position among the words
+ * still in the cloud. Columns line up with the position labels used by
+ * GreenRow/YellowRow, so a hot cell reads as "likely green here".
+ *
+ * Features:
+ * - One row per letter that still appears anywhere, one column per position
+ * - Cell shade and percentage = share of remaining words with that letter there
+ * - Hover a cell for the exact word count
+ * - Collapsible (remembered in settings)
+ * - Updates live as constraints change
+ */
+
+import { useMemo } from 'react';
+import { useConstraints } from '../context/ConstraintContext';
+import useSettings from '../hooks/useSettings';
+import { getPositionLetterCounts, ALPHABET } from '../utils/letterStats';
+import { getPositionIndices } from '../utils/wordLength';
+import { LETTER_HEAT_RGB } from '../constants';
+
+// Formats a share (0-1) as a short percentage label
+const formatShare = (share) => {
+  if (share === 0) return '';
+  if (share < 0.005) return '<1%';
+  return `${Math.round(share * 100)}%`;
+};
+
+export default function LetterHeatmap() {
+  const { filteredWords, wordLength } = useConstraints();
+  const { settings, updateSetting } = useSettings();
+  const isOpen = settings.showLetterHeatmap;
+  const total = filteredWords.length;
+  const positions = getPositionIndices(wordLength);
+
+  // Label column + one column per position (same columns as the Green/Yellow rows)
+  const gridStyle = { gridTemplateColumns: `2rem repeat(${wordLength}, minmax(0, 1fr))` };
+
+  // Letter counts per position (skipped while collapsed)
+  const positionCounts = useMemo(
+    () => (isOpen ? getPositionLetterCounts(filteredWords, wordLength) : null),
+    [isOpen, filteredWords, wordLength]
+  );
+
+  // Only letters that still appear somewhere (keeps the grid short late in the game)
+  const letters = useMemo(
+    () => (positionCounts
+      ? ALPHABET.filter(letter => positionCounts.some(counts => counts[letter] > 0))
+      : []),
+    [positionCounts]
+  );
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg border-4 border-purple-300 dark:border-purple-600" style={{ padding: '20px' }}>
+      {/* Title (click to collapse/expand) */}
+      <button
+        onClick={() => updateSetting('showLetterHeatmap', !isOpen)}
+        className="w-full text-base font-semibold text-purple-600 dark:text-purple-400 text-center"
+        aria-expanded={isOpen}
+      >
+        Letter Heatmap {isOpen ? '▾' : '▸'}
+      </button>
+
+      {isOpen && total > 0 && (
+        <div className="mt-3">
+          {/* Position labels (same columns as the Green/Yellow rows) */}
+          <div className="grid gap-1 mb-1" style={gridStyle}>
+            <div />
+            {positions.map((position) => (
+              <div key={position} className="text-center text-sm font-bold text-gray-500 dark:text-gray-400">
+                {position + 1}
+              </div>
+            ))}
+          </div>
+
+          {/* One row per letter */}
+          <div className="flex flex-col gap-1">
+            {letters.map((letter) => (
+              <div key={letter} className="grid gap-1" style={gridStyle}>
+                <div className="text-center text-sm font-bold text-gray-700 dark:text-gray-200 leading-6">
+                  {letter}
+                </div>
+                {positions.map((position) => {
+                  const count = positionCounts[position][letter];
+                  const share = count / total;
+                  return (
+                    <div
+                      key={position}
+                      className={`h-6 rounded text-xs font-semibold flex items-center justify-center ${
+                        share > 0.4 ? 'text-white' : 'text-gray-700 dark:text-gray-200'
+                      }`}
+                      style={{ backgroundColor: `rgba(${LETTER_HEAT_RGB}, ${Math.sqrt(share)})` }}
+                      title={`${letter} in position ${position + 1}: ${count.toLocaleString()} of ${total.toLocaleString()} words`}
+                    >
+                      {formatShare(share)}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
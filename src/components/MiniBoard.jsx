@@ -0,0 +1,195 @@
+/**
+ * MINI BOARD COMPONENT
+ *
+ * One board in multi-board mode (Dordle, Quordle, Octordle).
+ * Lives inside its own ConstraintProvider, so the guesses, derived constraints
+ * and filtered words are this board's alone; the shared draft and shared
+ * actions come from MultiBoardContext.
+ *
+ * Features:
+ * - Submitted guesses as small colored tiles (tap a tile to fix its color)
+ * - Draft row: the shared letters with this board's colors (tap to cycle)
+ * - Solved badge once a guess comes back all green (the board then sits out)
+ * - Mini word cloud: the first few words still possible, "+N more" for the rest
+ * - Click a word to put it in the shared draft
+ *
+ * Props:
+ * - index: Position of this board (0-based)
+ */
+
+import { useEffect, useMemo } from 'react';
+import { useConstraints } from '../context/ConstraintContext';
+import useMultiBoard from '../hooks/useMultiBoard';
+import { nextTileColor } from '../utils/guessLogic';
+import { isTileInConflict } from '../utils/contradictions';
+import { getPositionIndices, getTileGridStyle } from '../utils/wordLength';
+import { isAnswer } from '../utils/wordLists';
+import { CONFLICT_TILE_CLASSES, MINI_CLOUD_MAX_WORDS } from '../constants';
+
+// Tailwind classes for a small tile based on its color
+const getTileClasses = (color, hasLetter) => {
+  const baseClasses = 'aspect-square rounded-md border flex items-center justify-center text-xs md:text-sm font-bold select-none uppercase';
+
+  if (!hasLetter) {
+    return `${baseClasses} bg-gray-50 dark:bg-gray-700 border-gray-200 dark:border-gray-600`;
+  }
+
+  switch (color) {
+    case 'green':
+      return `${baseClasses} cursor-pointer bg-green-500 border-green-600 text-white`;
+    case 'yellow':
+      return `${baseClasses} cursor-pointer bg-yellow-400 border-yellow-500 text-white`;
+    default:
+      return `${baseClasses} cursor-pointer bg-gray-500 border-gray-600 text-white`;
+  }
+};
+
+export default function MiniBoard({ index }) {
+  const {
+    guesses,
+    conflicts,
+    constraints,
+    filteredWords,
+    wordLength,
+    isLoadingWords,
+    submitGuess,
+    updateGuessColors,
+    removeGuess,
+    clearAll,
+    undo,
+    redo
+  } = useConstraints();
+  const {
+    draftWord,
+    draftColors,
+    registerBoard,
+    reportBoard,
+    setDraft,
+    cycleDraftColor,
+    updateGuessColors: updateSharedGuessColors
+  } = useMultiBoard();
+  const positions = getPositionIndices(wordLength);
+
+  // The guess that came back all green (null until this board is solved)
+  const solvedGuess = guesses.find(guess => guess.colors.every(color => color === 'green')) ?? null;
+
+  // Hand this board's actions to the shared context (refreshed every render,
+  // since the actions close over the latest state)
+  useEffect(() => {
+    registerBoard(index, { submitGuess, updateGuessColors, removeGuess, clearAll, undo, redo });
+  });
+
+  // Summary for the shared summary and combined suggestions
+  const report = useMemo(() => ({
+    constraints,
+    filteredWords,
+    guessCount: guesses.length,
+    isSolved: solvedGuess !== null,
+    answer: solvedGuess?.word ?? null,
+    isLoading: isLoadingWords
+  }), [constraints, filteredWords, guesses.length, solvedGuess, isLoadingWords]);
+
+  useEffect(() => {
+    reportBoard(index, report);
+  }, [index, report, reportBoard]);
+
+  // Cycle the color of a tile in an already submitted guess
+  const handleGuessTileClick = (guessIndex, position) => {
+    const { colors } = guesses[guessIndex];
+    updateSharedGuessColors(
+      index,
+      guessIndex,
+      colors.map((color, i) => (i === position ? nextTileColor(color) : color))
+    );
+  };
+
+  const cloudWords = filteredWords.slice(0, MINI_CLOUD_MAX_WORDS);
+  const hiddenCount = filteredWords.length - cloudWords.length;
+
+  return (
+    <div
+      className={`bg-white dark:bg-gray-800 rounded-2xl shadow-lg border-4 p-3 flex flex-col gap-2 ${
+        solvedGuess ? 'border-green-400 dark:border-green-600' : 'border-purple-300 dark:border-purple-600'
+      }`}
+    >
+      {/* Title + solved badge */}
+      <div className="flex items-center justify-between text-sm font-semibold text-purple-600 dark:text-purple-400">
+        <span>Board {index + 1}</span>
+        {solvedGuess ? (
+          <span className="px-2 py-0.5 rounded-full bg-green-100 dark:bg-green-900/40 text-green-700 dark:text-green-300 text-xs">
+            Solved in {guesses.indexOf(solvedGuess) + 1}
+          </span>
+        ) : (
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            {isLoadingWords ? 'Loading…' : `${filteredWords.length.toLocaleString()} left`}
+          </span>
+        )}
+      </div>
+
+      {/* Submitted guesses: tap a tile to fix its color */}
+      {guesses.map((guess, guessIndex) => (
+        <div key={`${guess.word}-${guessIndex}`} className="grid gap-1" style={getTileGridStyle(wordLength)}>
+          {positions.map((position) => (
+            <div
+              key={position}
+              onClick={() => handleGuessTileClick(guessIndex, position)}
+              className={`${getTileClasses(guess.colors[position], true)} ${
+                isTileInConflict(conflicts, { letter: guess.word[position], position, guessIndex })
+                  ? CONFLICT_TILE_CLASSES
+                  : ''
+              }`}
+            >
+              {guess.word[position]}
+            </div>
+          ))}
+        </div>
+      ))}
+
+      {/* Draft row: shared letters, this board's colors */}
+      {!solvedGuess && (
+        <div className="grid gap-1" style={getTileGridStyle(wordLength)}>
+          {positions.map((position) => {
+            const letter = draftWord[position];
+            return (
+              <div
+                key={position}
+                onClick={() => cycleDraftColor(index, position)}
+                className={`${getTileClasses(draftColors[index][position], Boolean(letter))} ${
+                  letter ? 'ring-2 ring-purple-300 dark:ring-purple-600' : ''
+                }`}
+              >
+                {letter || ''}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Mini word cloud */}
+      {!solvedGuess && !isLoadingWords && (
+        <div className="flex flex-wrap justify-center gap-x-2 gap-y-1 pt-1">
+          {cloudWords.map((word) => (
+            <button
+              key={word}
+              onClick={() => setDraft(word)}
+              className={`text-sm font-bold uppercase hover:text-purple-600 dark:hover:text-purple-300 transition-colors ${
+                isAnswer(word) ? 'text-blue-600 dark:text-blue-300' : 'text-gray-500 dark:text-gray-400'
+              }`}
+              title="Use as the next guess"
+            >
+              {word}
+            </button>
+          ))}
+          {hiddenCount > 0 && (
+            <span className="text-sm text-gray-400 dark:text-gray-500">
+              +{hiddenCount.toLocaleString()} more
+            </span>
+          )}
+          {filteredWords.length === 0 && (
+            <span className="text-sm text-red-500">No words match - check the colors</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
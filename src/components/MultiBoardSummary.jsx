@@ -0,0 +1,63 @@
+/**
+ * MULTI BOARD SUMMARY COMPONENT
+ *
+ * Overview of every board in multi-board mode: how many are solved, how many
+ * guesses have been played, and how many words are left on each board.
+ *
+ * Features:
+ * - "X of N solved" headline (all solved → the game is won)
+ * - One chip per board: its answer once solved, otherwise words left
+ * - Total words left across the unsolved boards
+ * - Clear button to start every board over (undoable)
+ */
+
+import useMultiBoard from '../hooks/useMultiBoard';
+
+export default function MultiBoardSummary() {
+  const { boardCount, reports, clearAll } = useMultiBoard();
+
+  const solvedCount = reports.filter(report => report?.isSolved).length;
+  const guessCount = Math.max(0, ...reports.map(report => report?.guessCount ?? 0));
+  const wordsLeft = reports
+    .filter(report => report && !report.isSolved)
+    .reduce((total, report) => total + report.filteredWords.length, 0);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg border-4 border-purple-300 dark:border-purple-600" style={{ padding: '20px' }}>
+      {/* Headline */}
+      <div className="text-base font-semibold text-purple-600 dark:text-purple-400 text-center">
+        {solvedCount === boardCount ? 'All boards solved!' : `${solvedCount} of ${boardCount} solved`}
+        <span className="text-gray-500 dark:text-gray-400 font-normal">
+          {' '}· {guessCount} {guessCount === 1 ? 'guess' : 'guesses'}
+        </span>
+      </div>
+
+      {/* One chip per board */}
+      <div className="flex flex-wrap justify-center gap-2 mt-3">
+        {reports.map((report, index) => (
+          <div
+            key={index}
+            className={`px-3 py-1 rounded-full text-sm font-semibold ${
+              report?.isSolved
+                ? 'bg-green-100 dark:bg-green-900/40 text-green-700 dark:text-green-300 uppercase'
+                : 'bg-purple-50 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300'
+            }`}
+          >
+            {index + 1}: {report?.isSolved ? report.answer : (report?.filteredWords.length ?? 0).toLocaleString()}
+          </div>
+        ))}
+      </div>
+
+      {/* Total + clear */}
+      <div className="flex items-center justify-between mt-3 text-sm text-gray-500 dark:text-gray-400">
+        <span>{wordsLeft.toLocaleString()} words left on unsolved boards</span>
+        <button
+          onClick={clearAll}
+          className="px-3 py-1 rounded-full font-semibold text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 transition-colors"
+        >
+          Clear all
+        </button>
+      </div>
+    </div>
+  );
+}
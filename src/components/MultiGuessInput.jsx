@@ -0,0 +1,118 @@
+/**
+ * MULTI GUESS INPUT COMPONENT
+ *
+ * The shared guess row in multi-board mode: type a guess once and it's played
+ * on every unsolved board. Each board colors the guess on its own draft row
+ * (see MiniBoard), then Submit adds it everywhere at once.
+ *
+ * Keyboard shortcuts:
+ * - A-Z: Type the next letter of the guess
+ * - Backspace: Delete the last letter
+ * - Enter: Submit the guess to every unsolved board
+ *
+ * Touch devices always get the phone keyboard here: the on-screen Keyboard
+ * shows one board's letter statuses, which doesn't fit several boards.
+ */
+
+import { useState, useRef } from 'react';
+import useMultiBoard from '../hooks/useMultiBoard';
+import ErrorMessage from './ErrorMessage';
+import useTouchDevice from '../hooks/useTouchDevice';
+import useKeyboardInput from '../hooks/useKeyboardInput';
+import { MOBILE_INPUT_PROPS, GUESS_TILE_TEXT_SIZES } from '../constants';
+import { validateLetter } from '../utils/validateLetter';
+import { getPositionIndices, getTileGridStyle, getTileTextClass } from '../utils/wordLength';
+
+export default function MultiGuessInput() {
+  const { draftWord, wordLength, addDraftLetter, removeDraftLetter, submitGuess } = useMultiBoard();
+  const isTouchDevice = useTouchDevice();
+  const inputRef = useRef(null);
+  const positions = getPositionIndices(wordLength);
+
+  // Error message shown when validation fails (e.g., submitting a partial word)
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  const handleSubmit = () => {
+    const result = submitGuess();
+    setErrorMessage(result.success ? null : result.error);
+  };
+
+  // The only row on screen, so it always has keyboard focus
+  useKeyboardInput({
+    isFocused: true,
+    hasPositions: false,
+    onLetterInput: addDraftLetter,
+    onBackspace: removeDraftLetter,
+    onTabPress: () => {},
+    onEnter: handleSubmit,
+  });
+
+  return (
+    <div
+      className="bg-white dark:bg-gray-800 rounded-2xl relative shadow-lg border-4 border-purple-400 dark:border-purple-500"
+      style={{ padding: '20px' }}
+    >
+      {/* Error message (shown at top when validation fails) */}
+      <ErrorMessage message={errorMessage} onClose={() => setErrorMessage(null)} />
+
+      {/* Row title */}
+      <div className="text-base font-semibold text-purple-600 dark:text-purple-400 mb-3 text-center">
+        Next Guess (all boards)
+      </div>
+
+      <div className="flex items-center gap-3">
+        <div
+          className="grid gap-3 flex-1 relative"
+          style={getTileGridStyle(wordLength)}
+          onClick={() => inputRef.current?.focus()}
+        >
+          {/* Hidden input for mobile keyboard trigger (the on-screen Keyboard is */}
+          {/* single-board only, so touch devices always use the phone keyboard here) */}
+          {isTouchDevice && (
+            <input
+              ref={inputRef}
+              {...MOBILE_INPUT_PROPS}
+              value=""
+              onChange={(e) => {
+                const letter = validateLetter(e.target.value);
+                if (letter) {
+                  addDraftLetter(letter);
+                  e.target.value = ''; // Clear input for next letter
+                }
+              }}
+              onKeyDown={(e) => {
+                if (e.key === 'Backspace') removeDraftLetter();
+                if (e.key === 'Enter') handleSubmit();
+              }}
+              className="absolute opacity-0 pointer-events-none w-0 h-0"
+              aria-label="Type your guess"
+            />
+          )}
+          {positions.map((position) => (
+            <div
+              key={position}
+              className={`aspect-square rounded-xl border-2 flex items-center justify-center ${getTileTextClass(wordLength, GUESS_TILE_TEXT_SIZES)} font-bold shadow-md select-none uppercase bg-gray-50 dark:bg-gray-700 text-slate-800 dark:text-gray-100 ${
+                position === draftWord.length
+                  ? 'border-purple-500 dark:border-purple-400'
+                  : 'border-gray-200 dark:border-gray-600'
+              }`}
+            >
+              {draftWord[position] || ''}
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={handleSubmit}
+          className="px-3 h-10 rounded-full bg-gradient-to-br from-purple-500 to-indigo-600 text-white text-sm font-bold shadow-md hover:shadow-lg transition-all"
+        >
+          Submit
+        </button>
+      </div>
+
+      {/* Hint */}
+      <div className="text-sm text-gray-500 dark:text-gray-400 text-center mt-3">
+        {isTouchDevice ? 'Tap to type' : 'Type a guess'}, color it on each board, then submit
+      </div>
+    </div>
+  );
+}
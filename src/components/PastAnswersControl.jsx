@@ -0,0 +1,77 @@
+/**
+ * PAST ANSWERS CONTROL COMPONENT
+ *
+ * Settings for earlier daily Wordle answers (5-letter boards only):
+ * - Show / Fade / Hide toggle (past answers almost never come back)
+ * - Puzzle date: today by default; pick an earlier date when solving from
+ *   the archive, so only answers before that puzzle count as "past"
+ *
+ * The list of past answers is bundled (src/data/pastAnswers.js) and may lag
+ * behind the real game; see that file for how to update it. The control is
+ * hidden while the list doesn't reach today. Otherwise it shows the last date
+ * the list covers, and warns when a later puzzle date is picked (answers from
+ * the gap can't be faded or hidden).
+ *
+ * Props:
+ * - pastAnswers: Result of usePastAnswers for the board
+ */
+
+import useSettings from '../hooks/useSettings';
+import SegmentedControl from './SegmentedControl';
+import { PAST_ANSWER_MODES } from '../constants';
+
+// Past answer toggle options
+const PAST_ANSWER_OPTIONS = [
+  { value: PAST_ANSWER_MODES.SHOW, label: 'Show', title: 'List earlier daily answers like any other word' },
+  { value: PAST_ANSWER_MODES.FADE, label: 'Fade', title: 'Fade earlier daily answers (hover for the date)' },
+  { value: PAST_ANSWER_MODES.HIDE, label: 'Hide', title: 'Leave earlier daily answers out' }
+];
+
+export default function PastAnswersControl({ pastAnswers }) {
+  const { updateSetting } = useSettings();
+
+  if (!pastAnswers.isAvailable) return null;
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-3 text-sm text-gray-600 dark:text-gray-300">
+      <span className="font-semibold">Past answers</span>
+      <SegmentedControl
+        options={PAST_ANSWER_OPTIONS}
+        value={pastAnswers.mode}
+        onChange={(mode) => updateSetting('pastAnswers', mode)}
+        size="sm"
+      />
+      {pastAnswers.mode !== PAST_ANSWER_MODES.SHOW && (
+        <label className="flex items-center gap-2">
+          <span>Puzzle date</span>
+          <input
+            type="date"
+            value={pastAnswers.puzzleDate}
+            onChange={(e) => updateSetting('puzzleDate', e.target.value || null)}
+            onKeyDown={(e) => {
+              if (e.key !== 'Escape') e.nativeEvent.stopImmediatePropagation();
+            }}
+            className="rounded-full border-2 border-purple-200 dark:border-purple-600 bg-white dark:bg-gray-700 px-3 py-1 text-gray-900 dark:text-gray-100"
+            aria-label="Date of the puzzle being solved"
+          />
+          {pastAnswers.isArchive && (
+            <button
+              onClick={() => updateSetting('puzzleDate', null)}
+              className="px-2 py-1 rounded-full font-semibold text-purple-600 dark:text-purple-300 hover:bg-purple-50 dark:hover:bg-purple-900/30 transition-colors"
+            >
+              Today
+            </button>
+          )}
+        </label>
+      )}
+      <span className="basis-full text-center text-xs text-gray-500 dark:text-gray-400">
+        List covers answers through {pastAnswers.coveredUntil}
+      </span>
+      {pastAnswers.mode !== PAST_ANSWER_MODES.SHOW && pastAnswers.isBeyondCoverage && (
+        <span role="status" className="basis-full text-center text-xs font-semibold text-amber-700 dark:text-amber-300">
+          Answers after {pastAnswers.coveredUntil} aren't in the list, so they are still shown normally
+        </span>
+      )}
+    </div>
+  );
+}
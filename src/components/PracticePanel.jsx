@@ -0,0 +1,111 @@
+/**
+ * PRACTICE PANEL COMPONENT
+ *
+ * Start and follow a practice Wordle without another game open in a tab.
+ * The answer is picked from the likely answers for the current word length;
+ * guesses are typed into the guess rows and colored automatically.
+ *
+ * Features:
+ * - New game with a random seed, or type a seed to replay / share a game
+ * - Progress while playing ("Guess 3 of 6")
+ * - Result when the game ends (solved in N, or the answer when out of guesses)
+ * - Give up reveals the answer; Quit goes back to entering someone else's game
+ *
+ * Props:
+ * - game: Practice game from usePracticeGame (null when not playing)
+ * - status: 'playing', 'won' or 'lost' (null when not playing)
+ * - guessesUsed: Guesses played so far
+ * - onStart: Called with the seed text to start a new game → { success, error? }
+ * - onReveal: Called to give up and show the answer
+ * - onQuit: Called to stop practicing
+ */
+
+import { useState } from 'react';
+import ErrorMessage from './ErrorMessage';
+import { PRACTICE_MAX_GUESSES } from '../constants';
+
+const buttonClasses = 'px-4 py-2 rounded-full text-sm font-semibold shadow-md transition-all hover:shadow-lg';
+
+export default function PracticePanel({ game, status, guessesUsed, onStart, onReveal, onQuit }) {
+  // Optional seed typed by the user (empty = random)
+  const [seedInput, setSeedInput] = useState('');
+
+  // Error message shown when a game can't start (e.g., word list still loading)
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  const handleStart = () => {
+    const result = onStart(seedInput);
+    setErrorMessage(result.success ? null : result.error);
+    if (result.success) setSeedInput('');
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl relative shadow-lg border-4 border-purple-300 dark:border-purple-600" style={{ padding: '20px' }}>
+      {/* Error message (shown at top when a game can't start) */}
+      <ErrorMessage message={errorMessage} onClose={() => setErrorMessage(null)} />
+
+      {/* Title */}
+      <div className="text-base font-semibold text-purple-600 dark:text-purple-400 text-center">
+        Practice Game
+      </div>
+
+      {/* Progress / result */}
+      {game && (
+        <div className="mt-2 text-center">
+          <div className="text-lg font-bold text-slate-800 dark:text-gray-100">
+            {status === 'won' && `Solved in ${guessesUsed}!`}
+            {status === 'lost' && (
+              <>The answer was <span className="uppercase text-green-600 dark:text-green-400">{game.answer}</span></>
+            )}
+            {status === 'playing' && `Guess ${guessesUsed + 1} of ${PRACTICE_MAX_GUESSES}`}
+          </div>
+          <div className="text-sm text-gray-500 dark:text-gray-400">
+            Seed <span className="font-mono">{game.seed}</span>
+          </div>
+        </div>
+      )}
+
+      {/* Controls */}
+      <div className="flex flex-wrap items-center justify-center gap-2 mt-3">
+        <input
+          type="text"
+          value={seedInput}
+          onChange={(e) => setSeedInput(e.target.value)}
+          onKeyDown={(e) => {
+            // Keep typing here out of the guess rows; Enter starts the game
+            if (e.key !== 'Escape') e.nativeEvent.stopImmediatePropagation();
+            if (e.key === 'Enter') handleStart();
+          }}
+          autoComplete="off"
+          autoCorrect="off"
+          spellCheck="false"
+          placeholder="Seed (optional)"
+          className="w-36 px-3 py-2 rounded-full border-2 border-purple-200 dark:border-purple-600 bg-white dark:bg-gray-700 text-sm text-slate-800 dark:text-gray-100"
+          aria-label="Practice game seed"
+        />
+        <button
+          onClick={handleStart}
+          className={`${buttonClasses} bg-gradient-to-br from-purple-500 to-indigo-600 text-white`}
+        >
+          New game
+        </button>
+        {status === 'playing' && (
+          <button
+            onClick={onReveal}
+            className={`${buttonClasses} bg-white dark:bg-gray-700 text-purple-700 dark:text-purple-300`}
+          >
+            Give up
+          </button>
+        )}
+        {game && (
+          <button
+            onClick={onQuit}
+            className={`${buttonClasses} bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-300`}
+          >
+            Quit
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+/**
+ * SEGMENTED CONTROL COMPONENT
+ *
+ * Pill-shaped toggle for picking one option out of a few.
+ * Used for the word length (4-11), entry mode (Letter Rows / Guesses) and
+ * word list (Answers / All Words / Both) toggles.
+ *
+ * Props:
+ * - options: Array of { value, label, title? }
+ * - value: Currently selected option value
+ * - onChange: Called with the new value when a segment is clicked
+ * - size: 'md' (default) or 'sm' for compact placements
+ */
+
+const SIZE_CLASSES = {
+  md: 'px-5 py-2 text-base',
+  sm: 'px-3 py-1 text-sm'
+};
+
+export default function SegmentedControl({ options, value, onChange, size = 'md' }) {
+  return (
+    <div className="flex justify-center">
+      <div className="inline-flex bg-white dark:bg-gray-800 rounded-full p-1 shadow-lg border-2 border-purple-300 dark:border-purple-600">
+        {options.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => onChange(option.value)}
+            title={option.title}
+            className={`${SIZE_CLASSES[size]} rounded-full font-semibold transition-all ${
+              value === option.value
+                ? 'bg-gradient-to-br from-purple-500 to-indigo-600 text-white shadow-md'
+                : 'text-gray-600 dark:text-gray-300 hover:text-purple-600 dark:hover:text-purple-300'
+            }`}
+            aria-pressed={value === option.value}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+/**
+ * SHARE LINK BUTTON COMPONENT
+ *
+ * Copies a link to the current board. ConstraintContext keeps the board
+ * encoded in the page URL, so the link is simply the current address.
+ *
+ * Features:
+ * - Uses the native share sheet on touch devices when available
+ * - Falls back to copying to the clipboard
+ * - Shows "Link copied!" briefly after copying
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import useTouchDevice from '../hooks/useTouchDevice';
+
+// How long the "copied" confirmation stays visible (ms)
+const COPIED_FEEDBACK_MS = 2000;
+
+export default function ShareLinkButton() {
+  const isTouchDevice = useTouchDevice();
+  const [status, setStatus] = useState(null); // null | 'copied' | 'failed'
+  const timeoutRef = useRef(null);
+
+  // Clear the feedback timer on unmount
+  useEffect(() => () => clearTimeout(timeoutRef.current), []);
+
+  const showStatus = (nextStatus) => {
+    setStatus(nextStatus);
+    clearTimeout(timeoutRef.current);
+    timeoutRef.current = setTimeout(() => setStatus(null), COPIED_FEEDBACK_MS);
+  };
+
+  const handleShare = async () => {
+    const url = window.location.href;
+
+    // Native share sheet on phones (user cancelling is not an error)
+    if (isTouchDevice && navigator.share) {
+      try {
+        await navigator.share({ title: document.title, url });
+      } catch (error) {
+        if (error.name !== 'AbortError') showStatus('failed');
+      }
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(url);
+      showStatus('copied');
+    } catch (error) {
+      console.warn('Could not copy link:', error);
+      showStatus('failed');
+    }
+  };
+
+  const label = {
+    copied: '✅ Link copied!',
+    failed: '⚠️ Copy the address bar link'
+  }[status] ?? '🔗 Share Board';
+
+  return (
+    <button
+      onClick={handleShare}
+      className="self-center px-5 py-2 rounded-full bg-white dark:bg-gray-800 border-2 border-purple-300 dark:border-purple-600 text-purple-700 dark:text-purple-300 text-base font-semibold shadow-md hover:shadow-lg hover:border-purple-400 dark:hover:border-purple-500 transition-all"
+    >
+      {label}
+    </button>
+  );
+}
@@ -0,0 +1,84 @@
+/**
+ * SUGGESTIONS PANEL COMPONENT
+ *
+ * Shows the best next guesses, ranked by expected information (bits)
+ * against the words currently in the cloud.
+ *
+ * Features:
+ * - Top guesses with expected bits and expected words left afterwards
+ * - ★ marks guesses that could themselves be the answer
+ * - Click a suggestion to see its definition
+ * - "Why?" on guesses that can't be the answer explains what rules them out
+ * - Hidden when there's nothing left to rank
+ * - Scoring runs in the analysis worker (it checks every allowed guess)
+ * - Multi-board mode: bits are summed over the unsolved boards, and each
+ *   suggestion lists the boards it could solve (candidateBoards index into
+ *   payload.boards, which carry each board's own index)
+ *
+ * Props:
+ * - type: Analysis task ('suggest' for one board, 'suggestMulti' for several)
+ * - payload: Task input (the same constraints the cloud uses)
+ * - candidateCount: Words still possible (summed over boards in multi-board mode)
+ * - onWordClick: Called with a word when a suggestion is clicked
+ * - onExplainClick: Called with a word when its "Why?" button is clicked (optional)
+ */
+
+import useAnalysis from '../hooks/useAnalysis';
+
+export default function SuggestionsPanel({ type = 'suggest', payload, candidateCount, onWordClick, onExplainClick }) {
+  // Rank every allowed guess against the given constraints
+  const { result: suggestions, isPending } = useAnalysis(type, payload);
+
+  if (candidateCount === 0 || !suggestions || suggestions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="w-full max-w-md mt-8 bg-white/80 dark:bg-gray-800/80 rounded-2xl shadow-lg border-2 border-purple-200 dark:border-purple-600 p-5">
+      {/* Title */}
+      <div className="text-base font-semibold text-purple-700 dark:text-purple-300 mb-3 text-center">
+        {candidateCount === 1 ? 'Solved!' : 'Best Next Guesses'}
+      </div>
+
+      {/* Ranked suggestions */}
+      <ol className={`flex flex-col gap-2 transition-opacity ${isPending ? 'opacity-50' : ''}`}>
+        {suggestions.map((suggestion, index) => (
+          <li key={suggestion.word} className="flex items-center gap-1">
+            <button
+              onClick={() => onWordClick(suggestion.word)}
+              className="flex-1 flex items-center gap-3 px-3 py-2 rounded-xl hover:bg-purple-50 dark:hover:bg-purple-900/30 transition-colors text-left"
+              title={suggestion.isCandidate ? 'Could be the answer' : 'Not a possible answer, but narrows things down'}
+            >
+              <span className="w-6 text-sm font-bold text-gray-400 dark:text-gray-500">{index + 1}.</span>
+              <span className="flex-1 text-xl font-extrabold uppercase text-slate-800 dark:text-gray-100">
+                {suggestion.word}
+                {suggestion.isCandidate && <span className="ml-2 text-yellow-500">★</span>}
+                {suggestion.candidateBoards?.length > 0 && (
+                  <span className="ml-2 text-sm font-semibold normal-case text-gray-500 dark:text-gray-400">
+                    (board {suggestion.candidateBoards.map(i => payload.boards[i].index + 1).join(', ')})
+                  </span>
+                )}
+              </span>
+              {candidateCount > 1 && (
+                <span className="text-sm text-gray-500 dark:text-gray-400 text-right">
+                  {suggestion.entropy.toFixed(2)} bits
+                  <br />
+                  ~{suggestion.expectedRemaining.toFixed(1)} left
+                </span>
+              )}
+            </button>
+            {!suggestion.isCandidate && onExplainClick && (
+              <button
+                onClick={() => onExplainClick(suggestion.word)}
+                className="px-2 py-1 rounded-full text-xs font-semibold text-purple-600 dark:text-purple-300 hover:bg-purple-50 dark:hover:bg-purple-900/30 transition-colors"
+                title="Why can't this be the answer?"
+              >
+                Why?
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+/**
+ * UNDO / REDO BUTTONS COMPONENT
+ *
+ * Visible undo and redo controls. Keyboard users have Ctrl+Z / Ctrl+Shift+Z,
+ * but touch devices have no shortcut keys, so these are the only way there.
+ *
+ * Buttons are disabled when there is nothing to undo or redo.
+ * Next to them, "Steps" picks how many undo steps are kept (the
+ * undoHistoryLimit setting; lowering it drops the oldest steps on the next edit).
+ *
+ * Props:
+ * - undo / redo: Actions of the current board (or all boards in multi-board mode)
+ * - canUndo / canRedo: Whether there is anything to undo / redo
+ */
+
+import useSettings from '../hooks/useSettings';
+import SegmentedControl from './SegmentedControl';
+import { UNDO_HISTORY_LIMIT_OPTIONS } from '../constants';
+
+// Undo history size options
+const HISTORY_LIMIT_OPTIONS = UNDO_HISTORY_LIMIT_OPTIONS.map(limit => ({
+  value: limit,
+  label: String(limit),
+  title: `Keep the last ${limit} undo steps`
+}));
+
+const buttonClasses = 'w-10 h-10 rounded-full bg-white dark:bg-gray-800 border-2 border-purple-300 dark:border-purple-600 text-purple-700 dark:text-purple-300 text-xl font-bold shadow-md transition-all enabled:hover:shadow-lg enabled:hover:border-purple-400 dark:enabled:hover:border-purple-500 disabled:opacity-40 disabled:cursor-not-allowed';
+
+export default function UndoRedoButtons({ undo, redo, canUndo, canRedo }) {
+  const { settings, updateSetting } = useSettings();
+
+  return (
+    <div className="flex items-center gap-2 self-center">
+      <button
+        onClick={undo}
+        disabled={!canUndo}
+        className={buttonClasses}
+        title="Undo (Ctrl+Z)"
+        aria-label="Undo"
+      >
+        ↶
+      </button>
+      <button
+        onClick={redo}
+        disabled={!canRedo}
+        className={buttonClasses}
+        title="Redo (Ctrl+Shift+Z)"
+        aria-label="Redo"
+      >
+        ↷
+      </button>
+      <span className="text-sm font-semibold text-gray-600 dark:text-gray-300">Steps</span>
+      <SegmentedControl
+        options={HISTORY_LIMIT_OPTIONS}
+        value={settings.undoHistoryLimit}
+        onChange={(limit) => updateSetting('undoHistoryLimit', limit)}
+        size="sm"
+      />
+    </div>
+  );
+}
@@ -6,15 +6,19 @@
  *
  * Design features:
  * - Fluffy cloud shape made of overlapping gradient circles with blur
- * - Words displayed inside the cloud with random font sizes
+ * - Words ranked by likelihood: the likeliest are shown, in rank order, biggest first
  * - Continuous floating animation (cloud gently bobs up and down)
  * - Individual word animations (fade in, scale, rotate on hover)
- * - Shows up to 40 random words if there are more than 40 matches
- * - Word count display above the cloud
+ * - Shows the top 40 words if there are more than 40 matches
+ * - Word count display below the cloud, with a legend for word sizes
+ * - Word list toggle: answers only, all valid guesses, or both (answers highlighted)
+ * - Past answers toggle: show, fade or hide earlier daily answers (5 letters only)
+ * - View toggle: the cloud, or a sortable, searchable list of every word (WordList)
+ * - Best-next-guess suggestions below the word count
+ * - "Why not this word?" explainer for words that aren't in the cloud
  *
  * Performance:
  * - Uses useMemo to prevent unnecessary recalculations
- * - Fisher-Yates shuffle for efficient randomization
  * - AnimatePresence for smooth word transitions
  *
  * Color scheme:
@@ -23,8 +27,10 @@
  * - Matches the overall pink/blue theme of the app
  */
 
+import { useState, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { useConstraints } from '../context/ConstraintContext';
+import useSettings from '../hooks/useSettings';
 import DefinitionModal from './DefinitionModal';
 import useTouchDevice from '../hooks/useTouchDevice';
 import useResponsive from '../hooks/useResponsive';
@@ -32,21 +38,62 @@ import {
   FONT_SIZES_DESKTOP,
   FONT_SIZES_MOBILE,
   MAX_DISPLAY_WORDS_DESKTOP,
-  MAX_DISPLAY_WORDS_MOBILE
+  MAX_DISPLAY_WORDS_MOBILE,
+  WORD_LIST_MODES,
+  PAST_ANSWER_MODES,
+  RESULT_VIEWS
 } from '../constants';
 import FooterHint from './FooterHint';
 import useDefinition from '../hooks/useDefinition';
 import useWordSelection from '../hooks/useWordSelection';
 import CloudShape from './CloudShape';
 import WordGrid from './WordGrid';
+import SegmentedControl from './SegmentedControl';
+import SuggestionsPanel from './SuggestionsPanel';
+import PastAnswersControl from './PastAnswersControl';
+import usePastAnswers from '../hooks/usePastAnswers';
+import WordExplainer from './WordExplainer';
+import CloudLegend from './CloudLegend';
+import WordList from './WordList';
+import { isAnswer } from '../utils/wordLists';
+
+// Word list toggle options
+const WORD_LIST_OPTIONS = [
+  { value: WORD_LIST_MODES.ANSWERS, label: 'Answers', title: 'Only curated Wordle answers' },
+  { value: WORD_LIST_MODES.ALL, label: 'All Words', title: 'Every valid guess' },
+  { value: WORD_LIST_MODES.BOTH, label: 'Both', title: 'Every valid guess, answers highlighted' }
+];
+
+// Result view toggle options
+const RESULT_VIEW_OPTIONS = [
+  { value: RESULT_VIEWS.CLOUD, label: 'Cloud', title: 'The likeliest words, biggest first' },
+  { value: RESULT_VIEWS.LIST, label: 'List', title: 'Every matching word, sortable and searchable' }
+];
 
 export default function WordCloud() {
-  const { filteredWords } = useConstraints();
+  const { filteredWords, conflicts, isLoadingWords, wordListError, analysisPayload, wordLength } = useConstraints();
+  const { settings, updateSetting } = useSettings();
+  const pastAnswers = usePastAnswers(wordLength);
   const isTouchDevice = useTouchDevice();
+  const highlightAnswers = settings.wordListMode === WORD_LIST_MODES.BOTH;
+
+  // Number of remaining words that are curated answers (shown in "both" mode)
+  const answerCount = useMemo(
+    () => (highlightAnswers ? filteredWords.filter(isAnswer).length : 0),
+    [filteredWords, highlightAnswers]
+  );
+
+  // Word shown in the explainer (typed there, or picked from a suggestion)
+  const [explainedWord, setExplainedWord] = useState('');
 
   // Consolidated responsive detection (replaces duplicate screen size logic)
   const { isMobileOrTablet } = useResponsive();
 
+  // The list needs words to show; loading and empty states stay in the cloud
+  const showList = settings.resultView === RESULT_VIEWS.LIST &&
+    !isLoadingWords && !wordListError && filteredWords.length > 0;
+  const fadePastAnswersBefore = pastAnswers.mode === PAST_ANSWER_MODES.FADE ? pastAnswers.puzzleDate : null;
+
   // Device-specific settings
   const FONT_SIZES = isMobileOrTablet ? FONT_SIZES_MOBILE : FONT_SIZES_DESKTOP;
   const MAX_DISPLAY_WORDS = isMobileOrTablet ? MAX_DISPLAY_WORDS_MOBILE : MAX_DISPLAY_WORDS_DESKTOP;
@@ -58,14 +105,16 @@ export default function WordCloud() {
     isLoadingDefinition,
     definitionError,
     openDefinition,
-    closeDefinition
+    closeDefinition,
+    retryDefinition
   } = useDefinition();
 
   // Word selection and sizing hook
   const { wordsWithSizes, isStableMode } = useWordSelection(
     filteredWords,
     FONT_SIZES,
-    MAX_DISPLAY_WORDS
+    MAX_DISPLAY_WORDS,
+    wordLength
   );
 
   // ========================================
@@ -74,19 +123,59 @@ export default function WordCloud() {
 
   return (
     <div className="relative h-auto w-full flex flex-col items-center justify-start mt-2 md:mt-16 lg:mt-20 overflow-visible">
-      {/* FLUFFY CLOUD */}
-      <CloudShape isTouchDevice={isTouchDevice}>
-        <WordGrid
-          filteredWords={filteredWords}
-          wordsWithSizes={wordsWithSizes}
-          isStableMode={isStableMode}
-          isTouchDevice={isTouchDevice}
-          onWordClick={(word) => openDefinition(word, filteredWords.length, isStableMode)}
+      {/* View, word list + past answers toggles */}
+      <div className="mb-4 md:mb-8 flex flex-col items-center gap-3">
+        <SegmentedControl
+          options={RESULT_VIEW_OPTIONS}
+          value={settings.resultView}
+          onChange={(view) => updateSetting('resultView', view)}
+          size="sm"
         />
-      </CloudShape>
+        <SegmentedControl
+          options={WORD_LIST_OPTIONS}
+          value={settings.wordListMode}
+          onChange={(mode) => updateSetting('wordListMode', mode)}
+          size="sm"
+        />
+        <PastAnswersControl pastAnswers={pastAnswers} />
+      </div>
+
+      {showList ? (
+        <>
+          {/* Every matching word */}
+          <WordList
+            words={filteredWords}
+            wordLength={wordLength}
+            fadePastAnswersBefore={fadePastAnswersBefore}
+            onWordClick={(word) => openDefinition(word, filteredWords.length, isStableMode)}
+          />
 
-      {/* Spacer to push word count down */}
-      <div className="h-24 md:h-36"></div>
+          {/* Spacer to push word count down */}
+          <div className="h-8"></div>
+        </>
+      ) : (
+        <>
+          {/* FLUFFY CLOUD */}
+          <CloudShape isTouchDevice={isTouchDevice}>
+            <WordGrid
+              filteredWords={filteredWords}
+              wordsWithSizes={wordsWithSizes}
+              isStableMode={isStableMode}
+              isTouchDevice={isTouchDevice}
+              highlightAnswers={highlightAnswers}
+              conflicts={conflicts}
+              isAnswersOnly={settings.wordListMode === WORD_LIST_MODES.ANSWERS}
+              isLoading={isLoadingWords}
+              loadError={wordListError}
+              fadePastAnswersBefore={fadePastAnswersBefore}
+              onWordClick={(word) => openDefinition(word, filteredWords.length, isStableMode)}
+            />
+          </CloudShape>
+
+          {/* Spacer to push word count down */}
+          <div className="h-24 md:h-36"></div>
+        </>
+      )}
 
       {/* Word count - positioned below cloud */}
       {filteredWords.length > 0 && (
@@ -95,6 +184,27 @@ export default function WordCloud() {
         </div>
       )}
 
+      {/* Answer count - only when answers are highlighted among all valid guesses */}
+      {highlightAnswers && filteredWords.length > 0 && (
+        <div className="text-center text-xl md:text-2xl font-semibold text-purple-700 dark:text-purple-300 mt-2">
+          {answerCount.toLocaleString()} likely {answerCount === 1 ? 'answer' : 'answers'}
+        </div>
+      )}
+
+      {/* What word size means */}
+      {!showList && <CloudLegend shownCount={wordsWithSizes.length} totalCount={filteredWords.length} />}
+
+      {/* Best next guesses (ranked by expected information) */}
+      <SuggestionsPanel
+        payload={analysisPayload}
+        candidateCount={filteredWords.length}
+        onWordClick={(word) => openDefinition(word, filteredWords.length, isStableMode)}
+        onExplainClick={(word) => setExplainedWord(word.toUpperCase())}
+      />
+
+      {/* Why a word was filtered out */}
+      <WordExplainer word={explainedWord} onWordChange={setExplainedWord} />
+
       {/* Definition Modal */}
       {selectedWord && (
         <DefinitionModal
@@ -103,6 +213,7 @@ export default function WordCloud() {
           isLoading={isLoadingDefinition}
           error={definitionError}
           onClose={closeDefinition}
+          onRetry={retryDefinition}
         />
       )}
 
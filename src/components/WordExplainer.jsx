@@ -0,0 +1,106 @@
+/**
+ * WORD EXPLAINER COMPONENT
+ *
+ * "Why isn't my word in the cloud?" Type any word of the board's length and see every
+ * constraint that eliminates it. Uses explainWord(), which runs the same
+ * checks as filterWordList, so the reasons always match what the filter did.
+ *
+ * Features:
+ * - Lists each broken constraint (green mismatch, yellow position, gray letter, letter counts)
+ * - Says when a word fits but isn't in the current word list (e.g., answers only)
+ * - Says when a word fits but is hidden as an earlier daily answer
+ * - Flags words that aren't in the word list at all
+ *
+ * Props:
+ * - word: Word being explained (controlled, so other panels can fill it in)
+ * - onWordChange: Called with the new word as the user types
+ */
+
+import { useMemo } from 'react';
+import { useConstraints } from '../context/ConstraintContext';
+import useSettings from '../hooks/useSettings';
+import { explainWord } from '../utils/filterLogic';
+import { isAnswer, isValidWord } from '../utils/wordLists';
+import { getPastAnswerDate } from '../utils/pastAnswers';
+import usePastAnswers from '../hooks/usePastAnswers';
+import { WORD_LIST_MODES } from '../constants';
+
+export default function WordExplainer({ word, onWordChange }) {
+  const { constraints, wordLength } = useConstraints();
+  const { settings } = useSettings();
+  const { hideBefore: hidePastAnswersBefore } = usePastAnswers(wordLength);
+
+  const isComplete = word.length === wordLength;
+
+  // Every constraint the word breaks (only once a whole word is typed)
+  const violations = useMemo(
+    () => (isComplete ? explainWord(word, constraints) : []),
+    [isComplete, word, constraints]
+  );
+
+  // Summary line under the reasons
+  const getVerdict = () => {
+    if (!isValidWord(word)) {
+      return { text: `${word} isn't in the ${wordLength}-letter word list`, tone: 'bad' };
+    }
+    if (violations.length > 0) {
+      return { text: `${word} is ruled out`, tone: 'bad' };
+    }
+    if (settings.wordListMode === WORD_LIST_MODES.ANSWERS && !isAnswer(word)) {
+      return { text: `${word} fits, but isn't a curated answer - switch to All Words to see it`, tone: 'neutral' };
+    }
+    const playedOn = hidePastAnswersBefore && getPastAnswerDate(word, hidePastAnswersBefore);
+    if (playedOn) {
+      return { text: `${word} fits, but was the answer on ${playedOn} - past answers are hidden`, tone: 'neutral' };
+    }
+    return { text: `${word} fits every constraint - it's in the cloud`, tone: 'good' };
+  };
+
+  const verdict = isComplete ? getVerdict() : null;
+  const verdictClasses = {
+    good: 'text-green-700 dark:text-green-400',
+    neutral: 'text-purple-700 dark:text-purple-300',
+    bad: 'text-red-700 dark:text-red-400'
+  };
+
+  return (
+    <div className="w-full max-w-md mt-8 bg-white/80 dark:bg-gray-800/80 rounded-2xl shadow-lg border-2 border-purple-200 dark:border-purple-600 p-5">
+      {/* Title */}
+      <div className="text-base font-semibold text-purple-700 dark:text-purple-300 mb-3 text-center">
+        Why Not This Word?
+      </div>
+
+      {/* Word input (keydown stopped so typing here doesn't feed the rows) */}
+      <input
+        type="text"
+        value={word}
+        onChange={(e) => onWordChange(e.target.value.toUpperCase().replace(/[^A-Z]/g, '').slice(0, wordLength))}
+        onKeyDown={(e) => {
+          if (e.key !== 'Escape') e.nativeEvent.stopImmediatePropagation();
+        }}
+        placeholder="Type a word"
+        maxLength={wordLength}
+        autoComplete="off"
+        autoCorrect="off"
+        spellCheck="false"
+        className="w-full rounded-xl border-2 border-purple-200 dark:border-purple-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 px-4 py-2 text-xl font-bold tracking-widest text-center uppercase outline-none focus:border-purple-400"
+        aria-label="Word to explain"
+      />
+
+      {/* Reasons */}
+      {violations.length > 0 && (
+        <ul className="mt-3 flex flex-col gap-1 text-gray-700 dark:text-gray-200">
+          {violations.map(({ message }) => (
+            <li key={message}>✗ {message}</li>
+          ))}
+        </ul>
+      )}
+
+      {verdict && (
+        <p className={`mt-3 font-semibold text-center ${verdictClasses[verdict.tone]}`}>
+          {verdict.text}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -5,30 +5,96 @@
  * Handles empty state and word animations (stable vs dynamic modes).
  *
  * Features:
- * - Empty state with placeholder text
+ * - Loading state while the word list for the board's length is fetched
+ * - Empty state with placeholder text (and the reasons when constraints contradict)
  * - Animated word grid with hover effects
  * - Conditional animations (stable mode: smooth fades, dynamic mode: bouncy)
  * - Click handler for opening word definitions
+ * - Optional answer highlighting (curated answers bold, other valid guesses faded)
+ * - Optional past answer fading (earlier daily answers faded, date on hover)
  */
 
 import { motion, AnimatePresence } from 'framer-motion';
+import { isAnswer } from '../utils/wordLists';
+import { getPastAnswerDate } from '../utils/pastAnswers';
+
+// Text gradient for regular words (and answers when highlighting)
+const WORD_GRADIENT = 'from-slate-800 via-purple-900 to-slate-900 dark:from-gray-100 dark:via-purple-200 dark:to-gray-100';
+
+// Faded text gradient for valid guesses that can't be answers (highlight mode only)
+const GUESS_ONLY_GRADIENT = 'from-slate-400 via-purple-400 to-slate-400 dark:from-gray-500 dark:via-purple-400 dark:to-gray-500 opacity-70';
+
+// Faded text gradient for earlier daily answers (past answer fade mode only)
+const PAST_ANSWER_GRADIENT = 'from-slate-300 via-slate-400 to-slate-300 dark:from-gray-600 dark:via-gray-500 dark:to-gray-600 opacity-50';
 
 export default function WordGrid({
   filteredWords,
   wordsWithSizes,
   isStableMode,
   isTouchDevice,
+  highlightAnswers = false,
+  conflicts = [],
+  isAnswersOnly = false,
+  isLoading = false,
+  loadError = null,
+  fadePastAnswersBefore = null,
   onWordClick
 }) {
+  // Date a word was the daily answer (only when fading past answers)
+  const getPlayedOn = (word) => (
+    fadePastAnswersBefore ? getPastAnswerDate(word, fadePastAnswersBefore) : null
+  );
+
+  // Pick the text gradient for a word (fade past answers, and non-answers when highlighting)
+  const getGradient = (word) => {
+    if (getPlayedOn(word)) return PAST_ANSWER_GRADIENT;
+    return highlightAnswers && !isAnswer(word) ? GUESS_ONLY_GRADIENT : WORD_GRADIENT;
+  };
+
+  // Hover text for past answers
+  const getTitle = (word) => {
+    const playedOn = getPlayedOn(word);
+    return playedOn ? `Answer on ${playedOn}` : undefined;
+  };
+
+  if (isLoading || loadError) {
+    // Word list for this length isn't available (yet)
+    return (
+      <motion.div
+        className="text-center text-slate-600 dark:text-gray-400 text-xl sm:text-2xl font-bold"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+      >
+        {loadError ? `Couldn't load the word list: ${loadError}` : 'Loading words...'}
+      </motion.div>
+    );
+  }
+
   if (filteredWords.length === 0) {
-    // Empty state: Show placeholder text when no words match
+    // Empty state: Show placeholder text when no words match,
+    // plus the reasons when the constraints contradict each other
     return (
       <motion.div
-        className="text-slate-700 dark:text-gray-300 text-2xl sm:text-3xl md:text-4xl lg:text-6xl font-bold text-center"
+        className="flex flex-col items-center gap-4 text-center"
         initial={{ opacity: 0 }}
         animate={{ opacity: 1 }}
       >
-        No Winning Words...
+        <div className="text-slate-700 dark:text-gray-300 text-2xl sm:text-3xl md:text-4xl lg:text-6xl font-bold">
+          No Winning Words...
+        </div>
+        {conflicts.length > 0 ? (
+          <ul className="flex flex-col gap-2 text-base sm:text-lg text-red-700 dark:text-red-300 font-medium">
+            {conflicts.map(({ message }) => (
+              <li key={message}>⚠️ {message}</li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-base sm:text-lg text-slate-600 dark:text-gray-400">
+            {isAnswersOnly
+              ? 'No curated answer fits - try All Words'
+              : 'No word in the list fits all of these letters together'}
+          </p>
+        )}
       </motion.div>
     );
   }
@@ -44,7 +110,8 @@ export default function WordGrid({
           <div
             key={id}
             onClick={() => onWordClick(word)}
-            className={`${size} font-extrabold text-transparent bg-clip-text bg-gradient-to-br from-slate-800 via-purple-900 to-slate-900 dark:from-gray-100 dark:via-purple-200 dark:to-gray-100 cursor-pointer select-none uppercase`}
+            title={getTitle(word)}
+            className={`${size} font-extrabold text-transparent bg-clip-text bg-gradient-to-br ${getGradient(word)} cursor-pointer select-none uppercase`}
           >
             {word}
           </div>
@@ -58,6 +125,7 @@ export default function WordGrid({
               layout={true}
               layoutId={isStableMode ? word : undefined}
               onClick={() => onWordClick(word)}
+              title={getTitle(word)}
               initial={
                 isStableMode
                   ? { opacity: 0 }
@@ -91,7 +159,7 @@ export default function WordGrid({
                 filter: "brightness(1.2) drop-shadow(0 0 12px rgba(168, 85, 247, 0.7))",
                 transition: { duration: 0.3 }
               }}
-              className={`${size} font-extrabold text-transparent bg-clip-text bg-gradient-to-br from-slate-800 via-purple-900 to-slate-900 dark:from-gray-100 dark:via-purple-200 dark:to-gray-100 cursor-pointer select-none transition-all uppercase drop-shadow-md`}
+              className={`${size} font-extrabold text-transparent bg-clip-text bg-gradient-to-br ${getGradient(word)} cursor-pointer select-none transition-all uppercase drop-shadow-md`}
             >
               {word}
             </motion.div>
@@ -0,0 +1,165 @@
+/**
+ * WORD LIST COMPONENT
+ *
+ * Table view of EVERY matching word - the alternative to the cloud, which
+ * only has room for the top few dozen.
+ *
+ * Features:
+ * - Sort by likelihood score, alphabetically, by word frequency (how common
+ *   the word is in everyday English), or by letter frequency (how common the
+ *   word's letters are among the words left - see utils/wordScore.js)
+ * - Substring search (e.g., "ST" finds STALE and PASTE)
+ * - Pagination (WORD_LIST_PAGE_SIZE rows per page)
+ * - ★ marks likely answers; past answers are faded with their date when fading is on
+ * - Click a word to see its definition
+ *
+ * Props:
+ * - words: Matching words (lowercase)
+ * - wordLength: Word length of the board
+ * - fadePastAnswersBefore: Puzzle date when past answers are faded (null otherwise)
+ * - onWordClick: Called with a word when it's clicked
+ */
+
+import { useState, useMemo } from 'react';
+import SegmentedControl from './SegmentedControl';
+import { rankWords } from '../utils/wordScore';
+import { getPastAnswerDate } from '../utils/pastAnswers';
+import { WORD_LIST_PAGE_SIZE } from '../constants';
+
+// Sort options (ranking order is the default)
+const SORT_OPTIONS = [
+  { value: 'score', label: 'Likeliest', title: 'Highest likelihood score first' },
+  { value: 'alpha', label: 'A-Z', title: 'Alphabetical' },
+  { value: 'frequency', label: 'Common', title: 'Most common in everyday English first' },
+  { value: 'letters', label: 'Letter frequency', title: 'Most common letters (among the words left) first' }
+];
+
+// Comparators by sort option (ties fall back to alphabetical)
+const COMPARATORS = {
+  score: (a, b) => b.score - a.score || (a.word < b.word ? -1 : 1),
+  alpha: (a, b) => (a.word < b.word ? -1 : 1),
+  frequency: (a, b) => b.frequency - a.frequency || (a.word < b.word ? -1 : 1),
+  letters: (a, b) => b.letterFit - a.letterFit || (a.word < b.word ? -1 : 1)
+};
+
+const pageButtonClasses = 'px-3 py-1 rounded-full font-semibold text-purple-700 dark:text-purple-300 enabled:hover:bg-purple-50 dark:enabled:hover:bg-purple-900/30 disabled:opacity-40 disabled:cursor-not-allowed transition-colors';
+
+export default function WordList({ words, wordLength, fadePastAnswersBefore = null, onWordClick }) {
+  const [sortBy, setSortBy] = useState('score');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(0);
+
+  // Scores for every word (rank = position in the likelihood ranking)
+  const ranked = useMemo(
+    () => rankWords(words, wordLength).map((entry, rank) => ({ ...entry, rank: rank + 1 })),
+    [words, wordLength]
+  );
+
+  // Search, then sort
+  const rows = useMemo(() => {
+    const query = search.toLowerCase();
+    const matches = query ? ranked.filter(({ word }) => word.includes(query)) : ranked;
+    return sortBy === 'score' ? matches : [...matches].sort(COMPARATORS[sortBy]);
+  }, [ranked, search, sortBy]);
+
+  // Current page (clamped, since the words can shrink under it)
+  const pageCount = Math.max(1, Math.ceil(rows.length / WORD_LIST_PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = rows.slice(currentPage * WORD_LIST_PAGE_SIZE, (currentPage + 1) * WORD_LIST_PAGE_SIZE);
+
+  return (
+    <div className="w-full max-w-2xl bg-white/80 dark:bg-gray-800/80 rounded-2xl shadow-lg border-2 border-purple-200 dark:border-purple-600 p-5">
+      {/* Controls */}
+      <div className="flex flex-wrap items-center justify-center gap-3 mb-4">
+        <SegmentedControl
+          options={SORT_OPTIONS}
+          value={sortBy}
+          onChange={(option) => {
+            setSortBy(option);
+            setPage(0);
+          }}
+          size="sm"
+        />
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => {
+            setSearch(e.target.value.replace(/[^a-zA-Z]/g, ''));
+            setPage(0);
+          }}
+          onKeyDown={(e) => {
+            if (e.key !== 'Escape') e.nativeEvent.stopImmediatePropagation();
+          }}
+          placeholder="Search"
+          autoComplete="off"
+          autoCorrect="off"
+          spellCheck="false"
+          className="w-40 rounded-full border-2 border-purple-200 dark:border-purple-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 px-4 py-1 text-sm font-semibold uppercase outline-none focus:border-purple-400"
+          aria-label="Search words"
+        />
+      </div>
+
+      {/* Table */}
+      {pageRows.length > 0 ? (
+        <table className="w-full text-left">
+          <thead>
+            <tr className="text-xs uppercase text-gray-500 dark:text-gray-400">
+              <th className="py-1 w-16">Rank</th>
+              <th className="py-1">Word</th>
+              <th className="py-1 text-right">Score</th>
+              <th className="py-1 text-right" title="Zipf frequency in film subtitles: 1 = rare, 4-5 = everyday">Word freq.</th>
+              <th className="py-1 text-right">Letter freq.</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map(({ word, rank, score, frequency, letterFit, isAnswer }) => {
+              const playedOn = fadePastAnswersBefore ? getPastAnswerDate(word, fadePastAnswersBefore) : null;
+              return (
+                <tr
+                  key={word}
+                  onClick={() => onWordClick(word)}
+                  className={`border-t border-purple-100 dark:border-gray-700 cursor-pointer hover:bg-purple-50 dark:hover:bg-purple-900/30 transition-colors ${playedOn ? 'opacity-50' : ''}`}
+                  title={playedOn ? `Answer on ${playedOn}` : undefined}
+                >
+                  <td className="py-1 text-sm text-gray-400 dark:text-gray-500">{rank}</td>
+                  <td className="py-1 text-lg font-extrabold uppercase text-slate-800 dark:text-gray-100">
+                    {word}
+                    {isAnswer && <span className="ml-2 text-yellow-500">★</span>}
+                  </td>
+                  <td className="py-1 text-sm text-right text-gray-600 dark:text-gray-300">{score.toFixed(3)}</td>
+                  <td className="py-1 text-sm text-right text-gray-600 dark:text-gray-300">{frequency ? frequency.toFixed(1) : '–'}</td>
+                  <td className="py-1 text-sm text-right text-gray-600 dark:text-gray-300">{Math.round(letterFit * 100)}%</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-center text-gray-500 dark:text-gray-400">
+          No word contains "{search.toUpperCase()}"
+        </p>
+      )}
+
+      {/* Pagination */}
+      <div className="flex items-center justify-between mt-4 text-sm text-gray-600 dark:text-gray-300">
+        <button
+          onClick={() => setPage(currentPage - 1)}
+          disabled={currentPage === 0}
+          className={pageButtonClasses}
+        >
+          ← Prev
+        </button>
+        <span>
+          Page {currentPage + 1} of {pageCount} · {rows.length.toLocaleString()} {rows.length === 1 ? 'word' : 'words'}
+        </span>
+        <button
+          onClick={() => setPage(currentPage + 1)}
+          disabled={currentPage >= pageCount - 1}
+          className={pageButtonClasses}
+        >
+          Next →
+        </button>
+      </div>
+    </div>
+  );
+}
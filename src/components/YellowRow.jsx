@@ -9,12 +9,13 @@
  * you can add both letters to position 1.
  *
  * Features:
- * - 5 cells representing positions 0-4
+ * - One cell per position (word length from settings)
  * - Multiple letters per position allowed (stacked vertically)
  * - Keyboard navigation (arrow keys, tab to move to next row)
  * - Click any letter to remove it
  * - Backspace removes the last letter in the selected position
  * - Error validation (can't add a letter that's already green at this position)
+ * - Letters that contradict other constraints are outlined in red
  *
  * Keyboard shortcuts:
  * - A-Z: Add a letter to the selected position
@@ -31,32 +32,38 @@ import { useState, useRef, useCallback } from 'react';
 import { useConstraints } from '../context/ConstraintContext';
 import ErrorMessage from './ErrorMessage';
 import useTouchDevice from '../hooks/useTouchDevice';
+import useNativeInput from '../hooks/useNativeInput';
 import useKeyboardInput from '../hooks/useKeyboardInput';
-import { POSITION_INDICES, POSITION_LABELS, MOBILE_INPUT_PROPS, MAX_POSITION_INDEX } from '../constants';
+import { MOBILE_INPUT_PROPS, CONFLICT_TILE_CLASSES } from '../constants';
 import { validateLetter } from '../utils/validateLetter';
+import { getPositionIndices, getTileGridStyle } from '../utils/wordLength';
+import { isTileInConflict } from '../utils/contradictions';
 
 export default function YellowRow({ isFocused, focusedPosition, onFocusChange }) {
-  const { yellow, addYellow, removeYellow } = useConstraints();
+  const { yellow, conflicts, wordLength, addYellow, removeYellow } = useConstraints();
   const isTouchDevice = useTouchDevice();
+  const usesNativeInput = useNativeInput();
   const inputRefs = useRef([]);
+  const positions = getPositionIndices(wordLength);
+  const maxPosition = wordLength - 1;
 
-  // Track which position (0-4) is currently selected
-  // On desktop, use focusedPosition from parent; on mobile, use local state
+  // Track which position (0 to maxPosition) is currently selected
+  // Display tiles use focusedPosition from parent; native inputs use local state
   const [localPosition, setLocalPosition] = useState(0);
-  const selectedPosition = !isTouchDevice && focusedPosition !== null ? focusedPosition : localPosition;
+  const selectedPosition = !usesNativeInput && focusedPosition !== null ? focusedPosition : localPosition;
 
   // Error message shown when validation fails (e.g., letter is already green)
   const [errorMessage, setErrorMessage] = useState(null);
 
-  // Helper to update position (desktop updates parent, mobile updates local state)
+  // Helper to update position (display tiles update parent, native inputs update local state)
   // Wrapped in useCallback to prevent stale closures
   const updatePosition = useCallback((newPosition) => {
-    if (!isTouchDevice) {
+    if (!usesNativeInput) {
       onFocusChange('yellow', newPosition);
     } else {
       setLocalPosition(newPosition);
     }
-  }, [isTouchDevice, onFocusChange]);
+  }, [usesNativeInput, onFocusChange]);
 
   // ========================================
   // KEYBOARD INPUT HANDLING (using custom hook)
@@ -83,14 +90,14 @@ export default function YellowRow({ isFocused, focusedPosition, onFocusChange })
 
   // Handle Tab navigation (desktop only: move to next position or next row)
   const handleTabNavigate = useCallback(() => {
-    if (selectedPosition < MAX_POSITION_INDEX) {
+    if (selectedPosition < maxPosition) {
       // Move to next position within yellow row
       onFocusChange('yellow', selectedPosition + 1);
     } else {
       // Move to gray row
       onFocusChange('gray', 0);
     }
-  }, [selectedPosition, onFocusChange]);
+  }, [selectedPosition, maxPosition, onFocusChange]);
 
   // Handle Shift+Tab reverse navigation (desktop only: move to previous position or previous row)
   const handleTabNavigateReverse = useCallback(() => {
@@ -99,9 +106,9 @@ export default function YellowRow({ isFocused, focusedPosition, onFocusChange })
       onFocusChange('yellow', selectedPosition - 1);
     } else {
       // Move to last position of green row
-      onFocusChange('green', MAX_POSITION_INDEX);
+      onFocusChange('green', maxPosition);
     }
-  }, [selectedPosition, onFocusChange]);
+  }, [selectedPosition, maxPosition, onFocusChange]);
 
   // Handle Escape key (unfocus the row)
   const handleEscape = useCallback(() => {
@@ -114,6 +121,7 @@ export default function YellowRow({ isFocused, focusedPosition, onFocusChange })
     isFocused,
     hasPositions: true,
     selectedPosition,
+    maxPosition,
     onPositionChange: (pos) => updatePosition(pos),
     onLetterInput: handleLetterInput,
     onBackspace: handleBackspace,
@@ -121,7 +129,7 @@ export default function YellowRow({ isFocused, focusedPosition, onFocusChange })
     onTabNavigate: handleTabNavigate,
     onTabNavigateReverse: handleTabNavigateReverse,
     onEscape: handleEscape,
-    isDesktopTabNavigation: !isTouchDevice,
+    isDesktopTabNavigation: !usesNativeInput,
   });
 
   // ========================================
@@ -167,23 +175,23 @@ export default function YellowRow({ isFocused, focusedPosition, onFocusChange })
           Correct Letters, Wrong Position (Yellow)
         </div>
         <div className="pb-8">
-          {/* Position labels (1-5) */}
-          <div className="grid grid-cols-5 gap-3 mb-2">
-          {POSITION_LABELS.map((num) => (
-            <div key={num} className="text-center text-sm font-bold text-gray-500 dark:text-gray-400">
-              {num}
+          {/* Position labels (1 to word length) */}
+          <div className="grid gap-3 mb-2" style={getTileGridStyle(wordLength)}>
+          {positions.map((position) => (
+            <div key={position} className="text-center text-sm font-bold text-gray-500 dark:text-gray-400">
+              {position + 1}
             </div>
           ))}
         </div>
-        {/* Cell grid: 5 cells that can hold multiple letters each */}
-        <div className="grid grid-cols-5 gap-3">
-          {POSITION_INDICES.map((position) => (
+        {/* Cell grid: one cell per position, each can hold multiple letters */}
+        <div className="grid gap-3" style={getTileGridStyle(wordLength)}>
+          {positions.map((position) => (
             <div
               key={position}
               onClick={(e) => {
                 e.stopPropagation();
                 handleCellClick(position);
-                if (isTouchDevice && inputRefs.current[position]) {
+                if (usesNativeInput && inputRefs.current[position]) {
                   inputRefs.current[position].focus();
                 }
               }}
@@ -196,14 +204,14 @@ export default function YellowRow({ isFocused, focusedPosition, onFocusChange })
               {/*
                 MOBILE vs DESKTOP INPUT STRATEGY:
 
-                Mobile (isTouchDevice):
+                Native inputs (usesNativeInput: touch device using the phone keyboard):
                 - Shows a native <input> field at the top of each cell
                 - Input triggers mobile keyboard for easy letter entry
                 - Each letter is validated and added as a badge below the input
                 - Input auto-clears after each letter (ready for next entry)
                 - Delete button (✕) always visible on badges
 
-                Desktop (!isTouchDevice):
+                Display only (!usesNativeInput: desktop, or touch with the on-screen Keyboard):
                 - No visible input field (cleaner UI)
                 - Typing directly adds letters via useKeyboardInput hook
                 - Delete button (✕) appears only on hover
@@ -214,7 +222,7 @@ export default function YellowRow({ isFocused, focusedPosition, onFocusChange })
                 - Desktop benefits from invisible keyboard listener (cleaner UI)
                 - Touch users need always-visible delete buttons (no hover state)
               */}
-              {isTouchDevice && (
+              {usesNativeInput && (
                 // Mobile: Input field at top of cell for mobile keyboard
                 <input
                   ref={(el) => (inputRefs.current[position] = el)}
@@ -252,7 +260,9 @@ export default function YellowRow({ isFocused, focusedPosition, onFocusChange })
                       e.stopPropagation();
                       handleLetterRemove(position, letter);
                     }}
-                    className="bg-gradient-to-br from-amber-200 to-amber-300 border border-amber-400 rounded px-2 py-1 text-base font-bold text-amber-800 flex items-center justify-center gap-1 cursor-pointer hover:from-amber-300 hover:to-amber-400 active:from-amber-400 active:to-amber-500 transition-all shadow-sm hover:shadow-md relative w-full group"
+                    className={`bg-gradient-to-br from-amber-200 to-amber-300 border border-amber-400 rounded px-2 py-1 text-base font-bold text-amber-800 flex items-center justify-center gap-1 cursor-pointer hover:from-amber-300 hover:to-amber-400 active:from-amber-400 active:to-amber-500 transition-all shadow-sm hover:shadow-md relative w-full group ${
+                      isTileInConflict(conflicts, { letter, position }) ? CONFLICT_TILE_CLASSES : ''
+                    }`}
                   >
                     <span>{letter}</span>
                     <span className={`text-red-600 font-bold text-base ${isTouchDevice ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'}`}>✕</span>
@@ -10,29 +10,222 @@
 // ========================================
 
 /**
- * Number of letters in a Wordle word
+ * Number of letters in a Wordle word (the default word length)
  */
 export const WORD_LENGTH = 5;
 
 /**
- * Maximum position index (0-indexed, so WORD_LENGTH - 1)
+ * Word lengths the board supports (Wordle clones use 4-11 letters)
+ * Each length has its own word list (see utils/wordLists.js)
  */
-export const MAX_POSITION_INDEX = WORD_LENGTH - 1;
+export const WORD_LENGTH_OPTIONS = [4, 5, 6, 7, 8, 9, 10, 11];
 
 /**
- * Position indices for word slots (0-indexed for internal use)
+ * Letter size for row tiles by word length (more tiles = smaller letters)
+ * The first entry whose maxLength fits the word length wins
  */
-export const POSITION_INDICES = [0, 1, 2, 3, 4];
+export const TILE_TEXT_SIZES = [
+  { maxLength: 5, className: 'text-5xl' },
+  { maxLength: 7, className: 'text-4xl' },
+  { maxLength: 9, className: 'text-3xl' },
+  { maxLength: Infinity, className: 'text-2xl' }
+];
+
+/**
+ * Letter size for guess-row tiles (a step smaller: the row also holds ✕ / Submit)
+ */
+export const GUESS_TILE_TEXT_SIZES = [
+  { maxLength: 5, className: 'text-4xl' },
+  { maxLength: 7, className: 'text-3xl' },
+  { maxLength: 9, className: 'text-2xl' },
+  { maxLength: Infinity, className: 'text-xl' }
+];
+
+/**
+ * Tile colors in the order a tap cycles through them (guess-row entry mode)
+ * New tiles start gray, like an unscored Wordle guess
+ */
+export const TILE_COLOR_CYCLE = ['gray', 'yellow', 'green'];
+
+/**
+ * Keyboard key statuses in the order a long-press cycles through them
+ * ('default' = letter not used yet)
+ */
+export const KEY_STATUS_CYCLE = ['default', 'gray', 'yellow', 'green'];
+
+/**
+ * How long a key must be held to count as a long-press (in milliseconds)
+ */
+export const LONG_PRESS_MS = 500;
+
+/**
+ * Extra Tailwind classes for tiles that are part of a contradiction
+ * (see utils/contradictions.js)
+ */
+export const CONFLICT_TILE_CLASSES = 'ring-4 ring-red-500 ring-offset-2 ring-offset-white dark:ring-offset-gray-800';
+
+/**
+ * Constraint entry modes
+ * - rows: separate Green / Yellow / Gray rows
+ * - guesses: type whole guesses and tap tiles to color them (like the game)
+ */
+export const ENTRY_MODES = {
+  ROWS: 'rows',
+  GUESSES: 'guesses'
+};
+
+// ========================================
+// WORD LIST CONFIGURATION
+// ========================================
+
+/**
+ * Which words the cloud filters and shows
+ * - answers: curated Wordle answers only (likely solutions)
+ * - all: every valid guess, no distinction
+ * - both: every valid guess, with answers styled distinctly
+ */
+export const WORD_LIST_MODES = {
+  ANSWERS: 'answers',
+  ALL: 'all',
+  BOTH: 'both'
+};
+
+/**
+ * How the matching words are shown
+ * - cloud: the likeliest words in the word cloud
+ * - list: every word in a sortable, searchable table
+ */
+export const RESULT_VIEWS = {
+  CLOUD: 'cloud',
+  LIST: 'list'
+};
+
+/**
+ * What the cloud does with earlier daily answers (5-letter boards only)
+ * - show: list them like any other word
+ * - fade: list them, faded, with the date they were played
+ * - hide: leave them out (counts and suggestions too)
+ */
+export const PAST_ANSWER_MODES = {
+  SHOW: 'show',
+  FADE: 'fade',
+  HIDE: 'hide'
+};
+
+// ========================================
+// SOLVER CONFIGURATION
+// ========================================
 
 /**
- * Position labels for display (1-indexed for user-facing UI)
+ * Number of best-next-guess suggestions to show
  */
-export const POSITION_LABELS = [1, 2, 3, 4, 5];
+export const SOLVER_SUGGESTION_COUNT = 5;
+
+/**
+ * Maximum candidates scored against each guess
+ * Larger candidate sets are sampled evenly to keep ranking fast
+ */
+export const SOLVER_MAX_CANDIDATES = 250;
+
+// ========================================
+// MULTI-BOARD MODE
+// ========================================
+
+/**
+ * Number of boards played at once
+ * 1 = Wordle, 2 = Dordle, 4 = Quordle, 8 = Octordle
+ */
+export const BOARD_COUNTS = [1, 2, 4, 8];
+
+/**
+ * Maximum number of words listed in each board's mini cloud
+ */
+export const MINI_CLOUD_MAX_WORDS = 12;
+
+// ========================================
+// PRACTICE GAME
+// ========================================
+
+/**
+ * Guesses allowed in a practice game (same as Wordle)
+ */
+export const PRACTICE_MAX_GUESSES = 6;
+
+/**
+ * localStorage key for the practice game in progress (answer + seed)
+ */
+export const PRACTICE_STORAGE_KEY = 'wordlePractice';
+
+// ========================================
+// UNDO / REDO
+// ========================================
+
+/**
+ * Default number of undo steps kept (the undoHistoryLimit setting overrides it)
+ */
+export const UNDO_HISTORY_LIMIT = 20;
+
+/**
+ * Range the undoHistoryLimit setting is clamped to
+ * (every step is a full board snapshot, saved to localStorage)
+ */
+export const MIN_UNDO_HISTORY_LIMIT = 1;
+export const MAX_UNDO_HISTORY_LIMIT = 100;
+
+/**
+ * Choices offered next to the undo / redo buttons
+ */
+export const UNDO_HISTORY_LIMIT_OPTIONS = [10, 20, 50, 100];
+
+// ========================================
+// SETTINGS
+// ========================================
+
+/**
+ * localStorage key for persisted user settings
+ */
+export const SETTINGS_STORAGE_KEY = 'wordleSettings';
+
+/**
+ * localStorage key for the saved board (constraints, guesses, undo/redo history)
+ * The saved board expires at local midnight, when a new daily puzzle starts
+ */
+export const BOARD_STORAGE_KEY = 'wordleBoard';
+
+/**
+ * Default user settings (merged with anything saved in localStorage)
+ */
+export const DEFAULT_SETTINGS = {
+  wordLength: WORD_LENGTH,
+  boardCount: 1,
+  wordListMode: WORD_LIST_MODES.BOTH,
+  resultView: RESULT_VIEWS.CLOUD,
+  pastAnswers: PAST_ANSWER_MODES.SHOW,
+  // Date of the puzzle being solved (YYYY-MM-DD), null = today (set it to solve from the archive)
+  puzzleDate: null,
+  showLetterHeatmap: true,
+  keyboardFrequency: false,
+  // Undo steps kept per board (MIN_UNDO_HISTORY_LIMIT to MAX_UNDO_HISTORY_LIMIT)
+  undoHistoryLimit: UNDO_HISTORY_LIMIT,
+  // Touch devices: use the phone's keyboard (native inputs) instead of the on-screen Keyboard
+  nativeKeyboard: false
+};
 
 // ========================================
 // WORD CLOUD CONFIGURATION
 // ========================================
 
+/**
+ * Rows per page in the list view
+ */
+export const WORD_LIST_PAGE_SIZE = 50;
+
+/**
+ * RGB color for letter frequency shading (purple-600)
+ * Used with an opacity that scales with frequency (LetterHeatmap, Keyboard overlay)
+ */
+export const LETTER_HEAT_RGB = '147, 51, 234';
+
 /**
  * Maximum number of words to display in cloud on desktop
  */
@@ -44,9 +237,31 @@ export const MAX_DISPLAY_WORDS_DESKTOP = 40;
 export const MAX_DISPLAY_WORDS_MOBILE = 10;
 
 /**
- * Maximum number of cached word definitions (LRU-style limit)
+ * Maximum number of cached word definitions (least recently used are dropped)
+ * Applies to the in-memory cache and to the copy saved in IndexedDB
+ */
+export const MAX_DEFINITION_CACHE_SIZE = 500;
+
+/**
+ * How long a fetched definition stays cached (30 days)
+ */
+export const DEFINITION_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * How long "no definition found" stays cached (1 day), so dictionaries that
+ * add a word later get asked again
+ */
+export const DEFINITION_NOT_FOUND_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Time limit for each dictionary request (10 seconds)
+ */
+export const DEFINITION_REQUEST_TIMEOUT_MS = 10_000;
+
+/**
+ * IndexedDB database for cached definitions
  */
-export const MAX_DEFINITION_CACHE_SIZE = 100;
+export const DEFINITION_CACHE_DB_NAME = 'wordleDefinitions';
 
 /**
  * Delay before showing footer hint (in milliseconds)
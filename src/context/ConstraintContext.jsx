@@ -5,11 +5,27 @@
  * and keeps track of which words are still possible.
  *
  * What it does:
- * - Stores green, yellow, and gray letter constraints
- * - Automatically filters the word list when constraints change
+ * - Stores green, yellow, and gray letter constraints for the word length in settings
+ * - Stores whole guesses (guess-row entry mode) and derives constraints from them
+ * - Automatically filters the word list when constraints change (in a Web Worker)
  * - Provides functions to add/remove letters from each category
- * - Implements undo functionality (stores last 20 states)
- * - Validates constraints (e.g., can't add a green letter to gray)
+ * - Implements undo/redo (keeps the last historyLimit states: the undoHistoryLimit setting, UNDO_HISTORY_LIMIT by default)
+ * - Saves the board to localStorage and restores it on load (expires at midnight)
+ * - Keeps the board in the page URL so it can be shared as a link (single board only)
+ * - Validates constraints (e.g., can't add a yellow letter where it's already green)
+ * - Detects constraints that contradict each other (see utils/contradictions.js)
+ * - Supports duplicate letters: a letter that is both gray and green/yellow
+ *   caps its count (shown as a badge on the gray tile), whichever row it was
+ *   entered in first
+ *
+ * Word length:
+ * - Read once from settings when the provider mounts; App re-mounts the
+ *   provider (key={wordLength}) when it changes, which starts a fresh board
+ * - Word lists for lengths other than 5 load on demand (isLoadingWords meanwhile)
+ *
+ * Multi-board mode (Dordle, Quordle, ...):
+ * - One ConstraintProvider per board, each with a boardId
+ * - Each board is saved under its own key and stays out of the URL
  *
  * React Context Pattern:
  * - ConstraintProvider wraps the app and provides the state
@@ -18,96 +34,238 @@
  */
 
 import { createContext, useContext, useState, useCallback, useEffect, useMemo } from 'react';
-import { SOLUTIONS_LIST } from '../data/solutions';
-import { filterWordList } from '../utils/filterLogic';
+import { getWordListForMode } from '../utils/wordLists';
+import useSettings from '../hooks/useSettings';
+import useAnalysis from '../hooks/useAnalysis';
+import useWordLists from '../hooks/useWordLists';
+import usePastAnswers from '../hooks/usePastAnswers';
+import { createEmptyGreen, createEmptyYellow } from '../utils/wordLength';
+import { deriveConstraintsFromGuesses } from '../utils/guessLogic';
+import { findContradictions } from '../utils/contradictions';
+import { removePastAnswers } from '../utils/pastAnswers';
+import { loadBoard, saveBoard, getBoardStorageKey } from '../utils/boardStorage';
+import { encodeBoard, readBoardFromUrl, writeBoardToUrl } from '../utils/boardUrl';
+import { ENTRY_MODES, KEY_STATUS_CYCLE, UNDO_HISTORY_LIMIT, WORD_LENGTH } from '../constants';
 
 const ConstraintContext = createContext();
 
-export function ConstraintProvider({ children }) {
+/**
+ * Picks the board to start from
+ * A shared link wins over the board saved on this device. Undo history is
+ * only kept when the link is this device's own board (e.g., after a refresh).
+ * Boards for a different word length are ignored, and multi-board boards
+ * only ever come from storage.
+ *
+ * @param {number} wordLength - Word length of the new board
+ * @param {string|null} boardId - Board id in multi-board mode (null for the single board)
+ * @returns {Object|null} Initial board, or null to start empty
+ */
+function getInitialBoard(wordLength, boardId) {
+  // Boards saved before word length support are 5-letter boards
+  const matchesLength = (board) => board && (board.wordLength ?? WORD_LENGTH) === wordLength;
+
+  const storedBoard = loadBoard(getBoardStorageKey(boardId));
+  const savedBoard = matchesLength(storedBoard) ? storedBoard : null;
+  if (boardId !== null) return savedBoard;
+
+  const linkedBoard = readBoardFromUrl();
+  if (!matchesLength(linkedBoard)) return savedBoard;
+
+  const isOwnBoard = savedBoard &&
+    encodeBoard(savedBoard).toString() === encodeBoard(linkedBoard).toString();
+  return isOwnBoard ? savedBoard : { ...linkedBoard, history: [], future: [] };
+}
+
+export function ConstraintProvider({
+  children,
+  historyLimit = UNDO_HISTORY_LIMIT,
+  boardId = null,
+  defaultEntryMode = ENTRY_MODES.ROWS
+}) {
+  const { settings } = useSettings();
+
+  // Word length is fixed for the lifetime of this provider (see header)
+  const [wordLength] = useState(settings.wordLength);
+
+  // Word list to filter (answers only, or all valid guesses) comes from settings,
+  // minus earlier daily answers when those are hidden (see usePastAnswers)
+  // Empty while the lists for this length are still loading
+  const { lists: wordLists, error: wordListError } = useWordLists(wordLength);
+  const { hideBefore: hidePastAnswersBefore } = usePastAnswers(wordLength);
+  const wordList = useMemo(() => {
+    if (!wordLists) return [];
+    const words = getWordListForMode(settings.wordListMode, wordLists);
+    return hidePastAnswersBefore ? removePastAnswers(words, hidePastAnswersBefore) : words;
+  }, [wordLists, settings.wordListMode, hidePastAnswersBefore]);
+
   // ========================================
   // STATE: Store all constraint data
   // ========================================
 
+  // Board from a shared link or saved earlier today (null to start empty)
+  // Read once on mount and used as the initial value for each piece of state
+  const [initialBoard] = useState(() => getInitialBoard(wordLength, boardId));
+
   // Green letters: { 0: 'A', 1: null, 2: 'T', ... }
   // Position -> Letter (single letter per position)
-  const [green, setGreen] = useState({
-    0: null,
-    1: null,
-    2: null,
-    3: null,
-    4: null
-  });
+  const [green, setGreen] = useState(() => initialBoard?.green ?? createEmptyGreen(wordLength));
 
   // Yellow letters: { 0: ['A', 'E'], 1: [], 2: ['T'], ... }
   // Position -> Array of letters (multiple letters can be wrong at the same position)
-  const [yellow, setYellow] = useState({
-    0: [],
-    1: [],
-    2: [],
-    3: [],
-    4: []
-  });
+  const [yellow, setYellow] = useState(() => initialBoard?.yellow ?? createEmptyYellow(wordLength));
 
   // Gray letters: ['A', 'B', 'C']
   // Simple array of letters that are NOT in the word
-  const [gray, setGray] = useState([]);
+  const [gray, setGray] = useState(() => initialBoard?.gray ?? []);
 
-  // History for undo functionality (keeps last 20 states)
-  // Each entry is a snapshot: { green: {...}, yellow: {...}, gray: [...] }
-  const [history, setHistory] = useState([]);
+  // Guesses entered in guess-row mode: [{ word: 'CRANE', colors: ['gray', 'yellow', ...] }]
+  // In guess mode, green/yellow/gray (and letter counts) are derived from this stack
+  const [guesses, setGuesses] = useState(() => initialBoard?.guesses ?? []);
 
-  // Filtered words based on current constraints
-  // Starts with all ~2,300 words, gets smaller as you add constraints
-  const [filteredWords, setFilteredWords] = useState(SOLUTIONS_LIST);
+  // Which input UI is active: separate rows, or whole guesses
+  // (part of each undo snapshot; components switch it through setEntryMode below)
+  const [entryMode, setEntryModeState] = useState(() => initialBoard?.entryMode ?? defaultEntryMode);
+
+  // History for undo functionality (keeps the last historyLimit states)
+  // Each entry is a snapshot: { green: {...}, yellow: {...}, gray: [...], guesses: [...], entryMode }
+  const [history, setHistory] = useState(() => initialBoard?.history ?? []);
+
+  // Redo stack: snapshots popped off by undo (newest last)
+  // Cleared by any new edit, since redoing would then overwrite that edit
+  const [future, setFuture] = useState(() => initialBoard?.future ?? []);
+
+  // ========================================
+  // PERSISTENCE: Save the board (and the URL) whenever it changes
+  // ========================================
+
+  // Saved copy expires at local midnight (see boardStorage.js)
+  useEffect(() => {
+    saveBoard(
+      { green, yellow, gray, guesses, entryMode, wordLength, history, future },
+      getBoardStorageKey(boardId)
+    );
+  }, [green, yellow, gray, guesses, entryMode, wordLength, history, future, boardId]);
+
+  // Keep the URL in sync so the address bar is always a shareable link
+  // (a link holds one board, so multi-board boards leave it alone)
+  useEffect(() => {
+    if (boardId !== null) return;
+    writeBoardToUrl({ green, yellow, gray, guesses, entryMode, wordLength });
+  }, [green, yellow, gray, guesses, entryMode, wordLength, boardId]);
 
   // ========================================
   // COMPUTED VALUES: Automatically recalculate when state changes
   // ========================================
 
+  // Effective constraints for the active entry mode
+  // Guess mode derives everything (including letter counts) from the guess stack
+  const constraints = useMemo(() => {
+    if (entryMode === ENTRY_MODES.GUESSES) {
+      return deriveConstraintsFromGuesses(guesses, wordLength);
+    }
+    return { green, yellow, gray };
+  }, [entryMode, guesses, green, yellow, gray, wordLength]);
+
   // Check if any constraints are set (used to show all words vs filtered words)
   const hasConstraints = useMemo(() => {
-    const hasGreen = Object.values(green).some(v => v !== null);
-    const hasYellow = Object.values(yellow).some(arr => arr.length > 0);
-    const hasGray = gray.length > 0;
-    return hasGreen || hasYellow || hasGray;
-  }, [green, yellow, gray]);
+    const hasGreen = Object.values(constraints.green).some(v => v !== null);
+    const hasYellow = Object.values(constraints.yellow).some(arr => arr.length > 0);
+    const hasGray = constraints.gray.length > 0;
+    const hasCounts = Object.keys(constraints.counts || {}).length > 0;
+    return hasGreen || hasYellow || hasGray || hasCounts;
+  }, [constraints]);
+
+  // Constraints that clash with each other (empty when the board is consistent)
+  // Used to explain an empty cloud and highlight the offending tiles
+  // (wordLists is a dependency because the unknown-word check needs the list loaded)
+  const conflicts = useMemo(
+    () => (wordLists
+      ? findContradictions(constraints, entryMode === ENTRY_MODES.GUESSES ? guesses : [], wordLength)
+      : []),
+    [constraints, entryMode, guesses, wordLength, wordLists]
+  );
 
   // ========================================
-  // SIDE EFFECTS: React to state changes
+  // FILTERING: Runs in the analysis worker
   // ========================================
 
-  // Update filtered words whenever constraints change
-  // This runs automatically every time green, yellow, or gray changes
-  useEffect(() => {
-    if (!hasConstraints) {
-      setFilteredWords(SOLUTIONS_LIST);
-      return;
-    }
+  // Task input for the worker (memoized so it only re-runs when constraints change)
+  const analysisPayload = useMemo(
+    () => ({ constraints, wordListMode: settings.wordListMode, wordLength, hidePastAnswersBefore }),
+    [constraints, settings.wordListMode, wordLength, hidePastAnswersBefore]
+  );
+
+  // Filter in the background whenever green, yellow, gray, guesses, or the word list change
+  // Skipped when nothing is entered (the whole list matches)
+  const { result: matchingWords, isPending: isFiltering } = useAnalysis(
+    'filter',
+    analysisPayload,
+    hasConstraints
+  );
 
-    const constraints = { green, yellow, gray };
-    const filtered = filterWordList(constraints, SOLUTIONS_LIST);
-    setFilteredWords(filtered);
-  }, [green, yellow, gray, hasConstraints]);
+  // Filtered words based on current constraints
+  // Starts with the whole word list, gets smaller as you add constraints
+  // (keeps showing the previous result while a new one is computed; after
+  // the board was cleared there is none, so the whole list shows until then)
+  const filteredWords = hasConstraints ? (matchingWords ?? wordList) : wordList;
 
   // ========================================
   // HELPER FUNCTIONS
   // ========================================
 
+  // Current state as an undo/redo snapshot
+  const snapshot = useMemo(
+    () => ({ green, yellow, gray, guesses, entryMode }),
+    [green, yellow, gray, guesses, entryMode]
+  );
+
+  // Restore a snapshot taken by saveToHistory
+  // (snapshots saved before entryMode was recorded keep the current mode)
+  const restoreSnapshot = useCallback((saved) => {
+    setGreen(saved.green);
+    setYellow(saved.yellow);
+    setGray(saved.gray);
+    setGuesses(saved.guesses);
+    if (saved.entryMode) setEntryModeState(saved.entryMode);
+  }, []);
+
   // Save current state to history (for undo functionality)
   // Called before any state change so we can undo back to this point
+  // A new edit starts a new branch, so the redo stack is dropped
+  // Several actions in one event (e.g. clearAll + setEntryMode) share one snapshot
   const saveToHistory = useCallback(() => {
     setHistory(prev => {
-      const newHistory = [...prev, { green, yellow, gray }];
-      // Keep only last 20 states
-      return newHistory.slice(-20);
+      if (prev.at(-1) === snapshot) return prev;
+      const newHistory = [...prev, snapshot];
+      // Keep only the last historyLimit states
+      return newHistory.slice(-historyLimit);
     });
-  }, [green, yellow, gray]);
+    setFuture([]);
+  }, [snapshot, historyLimit]);
+
+  // ========================================
+  // ENTRY MODE
+  // ========================================
+
+  // Switch between letter rows and whole guesses (undoable like any edit)
+  // Returns { success: true/false } for consistent error handling
+  const setEntryMode = useCallback((mode) => {
+    if (mode === entryMode) {
+      return { success: false }; // Already in that mode
+    }
+
+    saveToHistory();
+    setEntryModeState(mode);
+
+    return { success: true };
+  }, [entryMode, saveToHistory]);
 
   // ========================================
   // GREEN LETTER ACTIONS
   // ========================================
 
-  // Add a green letter at a specific position (0-4)
+  // Add a green letter at a specific position (0 to wordLength - 1)
+  // A gray copy of the letter stays: together they cap its count (see addGray)
   // Returns { success: true/false } for consistent error handling
   const addGreen = useCallback((position, letter) => {
     const upperLetter = letter.toUpperCase();
@@ -123,9 +281,6 @@ export function ConstraintProvider({ children }) {
       [position]: upperLetter
     }));
 
-    // Automatically remove from gray if it's there
-    setGray(prev => prev.filter(l => l !== upperLetter));
-
     return { success: true };
   }, [green, saveToHistory]);
 
@@ -151,6 +306,7 @@ export function ConstraintProvider({ children }) {
   // ========================================
 
   // Add a yellow letter at a position (means: letter is in word, but NOT at this position)
+  // A gray copy of the letter stays, as for addGreen
   // Returns { success: true/false, error?: string } for validation feedback
   const addYellow = useCallback((position, letter) => {
     const upperLetter = letter.toUpperCase();
@@ -171,9 +327,6 @@ export function ConstraintProvider({ children }) {
       [position]: [...prev[position], upperLetter]
     }));
 
-    // Automatically remove from gray if it's there
-    setGray(prev => prev.filter(l => l !== upperLetter));
-
     return { success: true };
   }, [green, yellow, saveToHistory]);
 
@@ -199,18 +352,13 @@ export function ConstraintProvider({ children }) {
   // ========================================
 
   // Add a gray letter (means: letter is NOT in the word at all)
+  // If the letter is already green/yellow, gray means "no extra copies"
+  // (e.g., SPEED with one green E and one gray E → at most one E); GrayRow
+  // shows that cap on the tile
   // Returns { success: true/false, error?: string } for validation feedback
   const addGray = useCallback((letter) => {
     const upperLetter = letter.toUpperCase();
 
-    // Check if letter is in green or yellow
-    const inGreen = Object.values(green).some(l => l === upperLetter);
-    const inYellow = Object.values(yellow).some(arr => arr.includes(upperLetter));
-
-    if (inGreen || inYellow) {
-      return { success: false, error: 'This letter is already in the word' };
-    }
-
     // Don't save history if letter is already in gray
     if (gray.includes(upperLetter)) {
       return { success: false };
@@ -220,7 +368,7 @@ export function ConstraintProvider({ children }) {
     setGray(prev => [...prev, upperLetter]);
 
     return { success: true };
-  }, [green, yellow, gray, saveToHistory]);
+  }, [gray, saveToHistory]);
 
   // Remove a gray letter
   // Returns { success: true/false } for consistent error handling
@@ -236,60 +384,201 @@ export function ConstraintProvider({ children }) {
     return { success: true };
   }, [gray, saveToHistory]);
 
+  // ========================================
+  // KEYBOARD ACTIONS (long-press on the on-screen Keyboard)
+  // ========================================
+
+  // Move a letter to its next status at one position: unused → gray → yellow → green → unused
+  // The position is the one selected in the green or yellow row (null when
+  // neither row is focused, which only allows unused → gray). Only that
+  // position changes: the letter keeps its tiles elsewhere, and its gray entry
+  // stays while another position still has it green or yellow (a capped count).
+  // Refuses to replace another green letter at that position.
+  // Done as a single edit so one undo reverts it
+  // Returns { success: true/false, status?: string, error?: string } (status = the new status)
+  const cycleLetterStatus = useCallback((letter, position) => {
+    if (entryMode === ENTRY_MODES.GUESSES) {
+      return { success: false, error: 'Edit the guess tiles to change letters in guess mode' };
+    }
+
+    const upperLetter = letter.toUpperCase();
+    const hasPosition = position !== null && position in yellow;
+    const currentStatus =
+      hasPosition && green[position] === upperLetter ? 'green'
+        : hasPosition && yellow[position].includes(upperLetter) ? 'yellow'
+          : gray.includes(upperLetter) ? 'gray'
+            : 'default';
+    const nextStatus = KEY_STATUS_CYCLE[(KEY_STATUS_CYCLE.indexOf(currentStatus) + 1) % KEY_STATUS_CYCLE.length];
+
+    if ((nextStatus === 'yellow' || nextStatus === 'green') && !hasPosition) {
+      return { success: false, error: `Select a position in the green or yellow row to make ${upperLetter} ${nextStatus}` };
+    }
+    if (nextStatus === 'green' && green[position] && green[position] !== upperLetter) {
+      return { success: false, error: `Position ${Number(position) + 1} is already green (${green[position]})` };
+    }
+
+    saveToHistory();
+
+    if (nextStatus === 'gray') {
+      setGray(prev => [...prev, upperLetter]);
+    } else if (nextStatus === 'yellow') {
+      // Gray → yellow: the gray entry goes unless another position caps it
+      const elsewhere = Object.keys(yellow).some(pos => (
+        pos !== String(position) && (green[pos] === upperLetter || yellow[pos].includes(upperLetter))
+      ));
+      if (!elsewhere) {
+        setGray(prev => prev.filter(l => l !== upperLetter));
+      }
+      setYellow(prev => ({ ...prev, [position]: [...prev[position], upperLetter] }));
+    } else if (nextStatus === 'green') {
+      setYellow(prev => ({ ...prev, [position]: prev[position].filter(l => l !== upperLetter) }));
+      setGreen(prev => ({ ...prev, [position]: upperLetter }));
+    } else {
+      setGreen(prev => ({ ...prev, [position]: null }));
+    }
+
+    return { success: true, status: nextStatus };
+  }, [entryMode, green, yellow, gray, saveToHistory]);
+
+  // ========================================
+  // GUESS ACTIONS (guess-row entry mode)
+  // ========================================
+
+  // Submit a whole guess with its tile colors
+  // Returns { success: true/false, error?: string } for validation feedback
+  const submitGuess = useCallback((word, colors) => {
+    const upperWord = word.toUpperCase();
+
+    if (!/^[A-Z]+$/.test(upperWord) || upperWord.length !== colors.length) {
+      return { success: false, error: 'Guess must be a full word' };
+    }
+
+    saveToHistory();
+    setGuesses(prev => [...prev, { word: upperWord, colors: [...colors] }]);
+
+    return { success: true };
+  }, [saveToHistory]);
+
+  // Replace the tile colors of an already submitted guess (fixing a mistake)
+  // Returns { success: true/false } for consistent error handling
+  const updateGuessColors = useCallback((index, colors) => {
+    if (!guesses[index]) {
+      return { success: false }; // Guess not found
+    }
+
+    saveToHistory();
+    setGuesses(prev => prev.map((guess, i) => (
+      i === index ? { ...guess, colors: [...colors] } : guess
+    )));
+
+    return { success: true };
+  }, [guesses, saveToHistory]);
+
+  // Remove a submitted guess
+  // Returns { success: true/false } for consistent error handling
+  const removeGuess = useCallback((index) => {
+    if (!guesses[index]) {
+      return { success: false }; // Guess not found
+    }
+
+    saveToHistory();
+    setGuesses(prev => prev.filter((_, i) => i !== index));
+
+    return { success: true };
+  }, [guesses, saveToHistory]);
+
+  // Replace the guess stack with an imported game (e.g., from a share grid)
+  // Switches to guess mode so the imported rows show up as if typed by hand
+  // Returns { success: true/false } for consistent error handling
+  const importGuesses = useCallback((importedGuesses) => {
+    if (importedGuesses.length === 0) {
+      return { success: false }; // Nothing to import
+    }
+
+    saveToHistory();
+    setGuesses(importedGuesses.map(({ word, colors }) => ({
+      word: word.toUpperCase(),
+      colors: [...colors]
+    })));
+    setEntryModeState(ENTRY_MODES.GUESSES);
+
+    return { success: true };
+  }, [saveToHistory]);
+
   // ========================================
   // UTILITY ACTIONS
   // ========================================
 
   // Undo last action - restores previous state from history
+  // The current state moves onto the redo stack
   const undo = useCallback(() => {
     if (history.length === 0) return;
 
-    const previousState = history[history.length - 1];
-    setGreen(previousState.green);
-    setYellow(previousState.yellow);
-    setGray(previousState.gray);
+    restoreSnapshot(history[history.length - 1]);
+    setFuture(prev => [...prev, snapshot].slice(-historyLimit));
 
     // Remove the last history entry
     setHistory(prev => prev.slice(0, -1));
-  }, [history]);
+  }, [history, snapshot, historyLimit, restoreSnapshot]);
+
+  // Redo last undone action - the mirror image of undo
+  const redo = useCallback(() => {
+    if (future.length === 0) return;
+
+    restoreSnapshot(future[future.length - 1]);
+    setHistory(prev => [...prev, snapshot].slice(-historyLimit));
+
+    // Remove the last redo entry
+    setFuture(prev => prev.slice(0, -1));
+  }, [future, snapshot, historyLimit, restoreSnapshot]);
 
   // Clear all constraints
   const clearAll = useCallback(() => {
     saveToHistory();
-    setGreen({
-      0: null,
-      1: null,
-      2: null,
-      3: null,
-      4: null
-    });
-    setYellow({
-      0: [],
-      1: [],
-      2: [],
-      3: [],
-      4: []
-    });
+    setGreen(createEmptyGreen(wordLength));
+    setYellow(createEmptyYellow(wordLength));
     setGray([]);
-  }, [saveToHistory]);
+    setGuesses([]);
+  }, [saveToHistory, wordLength]);
 
   // ========================================
   // CONTEXT VALUE: Everything we want to share with components
   // ========================================
 
+  // green/yellow/gray are the effective constraints for the active entry mode
+  // (derived from guesses in guess mode) so displays like Keyboard just work
   const value = {
-    green,
-    yellow,
-    gray,
+    green: constraints.green,
+    yellow: constraints.yellow,
+    gray: constraints.gray,
+    constraints,
+    conflicts,
+    wordLength,
+    wordList,
+    isLoadingWords: !wordLists && !wordListError,
+    wordListError,
+    analysisPayload,
+    guesses,
+    entryMode,
+    setEntryMode,
     filteredWords,
+    isFiltering,
     addGreen,
     removeGreen,
     addYellow,
     removeYellow,
     addGray,
     removeGray,
+    cycleLetterStatus,
+    submitGuess,
+    updateGuessColors,
+    removeGuess,
+    importGuesses,
     clearAll,
-    undo
+    undo,
+    redo,
+    canUndo: history.length > 0,
+    canRedo: future.length > 0
   };
 
   return (
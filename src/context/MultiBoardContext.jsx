@@ -0,0 +1,258 @@
+/**
+ * MULTI-BOARD CONTEXT - Dordle / Quordle / Octordle
+ *
+ * Ties several boards together. Each board keeps its own state in its own
+ * ConstraintProvider (guesses, derived constraints, filtered words, undo
+ * history); this context holds what the boards share.
+ *
+ * What it does:
+ * - Holds the shared draft guess (typed once, played on every unsolved board)
+ * - Holds each board's draft tile colors (every board colors the guess differently)
+ * - Submits, removes and undoes guesses on all boards at once
+ * - Collects a summary from each board (constraints, words left, solved?)
+ *   for the combined summary and suggestions
+ *
+ * How boards talk to it:
+ * - Each board calls registerBoard(index, actions) with its ConstraintContext
+ *   actions, so shared edits can be applied to every board
+ * - Each board calls reportBoard(index, report) whenever its summary changes
+ *
+ * Undo / redo:
+ * - Every shared edit records which boards it touched; undo calls undo() on
+ *   exactly those boards (solved boards skip later guesses, so they aren't touched)
+ * - The log lives in memory: boards still restore after a refresh, but only
+ *   edits made since then can be undone
+ * - Keeps the last historyLimit edits (the undoHistoryLimit setting, which
+ *   App also passes to every board)
+ */
+
+import { useState, useCallback, useRef, useMemo, useEffect } from 'react';
+import useSettings from '../hooks/useSettings';
+import { MultiBoardContext } from '../hooks/useMultiBoard';
+import usePastAnswers from '../hooks/usePastAnswers';
+import { nextTileColor } from '../utils/guessLogic';
+import { writeBoardToUrl } from '../utils/boardUrl';
+import { UNDO_HISTORY_LIMIT } from '../constants';
+
+// Fresh draft colors for every board (all gray, like an unscored guess)
+const createDraftColors = (boardCount, wordLength) => (
+  Array.from({ length: boardCount }, () => Array(wordLength).fill('gray'))
+);
+
+export function MultiBoardProvider({ children, boardCount, historyLimit = UNDO_HISTORY_LIMIT }) {
+  const { settings } = useSettings();
+
+  // Word length is fixed for the lifetime of this provider (App re-mounts it on change)
+  const [wordLength] = useState(settings.wordLength);
+
+  // Earlier daily answers left out of every board (null when they're shown)
+  const { hideBefore: hidePastAnswersBefore } = usePastAnswers(wordLength);
+
+  // ========================================
+  // STATE
+  // ========================================
+
+  // Shared draft guess (letters only)
+  const [draftWord, setDraftWord] = useState('');
+
+  // Draft tile colors per board: [['gray', 'green', ...], ...]
+  const [draftColors, setDraftColors] = useState(() => createDraftColors(boardCount, wordLength));
+
+  // Latest summary from each board (null until the board reports)
+  // { constraints, filteredWords, guessCount, isSolved, isLoading }
+  const [reports, setReports] = useState(() => Array(boardCount).fill(null));
+
+  // Board indices touched by each shared edit (for undo / redo)
+  const [history, setHistory] = useState([]);
+  const [future, setFuture] = useState([]);
+
+  // ConstraintContext actions per board (refreshed by each board on every render)
+  const boardActions = useRef([]);
+
+  // A link holds a single board, so drop any board left in the URL by single-board mode
+  useEffect(() => {
+    writeBoardToUrl(null);
+  }, []);
+
+  // ========================================
+  // BOARD REGISTRATION
+  // ========================================
+
+  const registerBoard = useCallback((index, actions) => {
+    boardActions.current[index] = actions;
+  }, []);
+
+  // Store a board's summary (ignored when nothing changed, so reports don't loop)
+  const reportBoard = useCallback((index, report) => {
+    setReports(prev => (prev[index] === report ? prev : prev.map((r, i) => (i === index ? report : r))));
+  }, []);
+
+  // Record a shared edit that touched these boards
+  const recordEdit = useCallback((boardIndices) => {
+    if (boardIndices.length === 0) return;
+    setHistory(prev => [...prev, boardIndices].slice(-historyLimit));
+    setFuture([]);
+  }, [historyLimit]);
+
+  // ========================================
+  // DRAFT ACTIONS
+  // ========================================
+
+  // Add a letter to the shared draft (ignored once the row is full)
+  const addDraftLetter = useCallback((letter) => {
+    setDraftWord(prev => (prev.length < wordLength ? prev + letter.toUpperCase() : prev));
+  }, [wordLength]);
+
+  // Remove the last draft letter and reset its color on every board
+  const removeDraftLetter = useCallback(() => {
+    if (draftWord.length === 0) return;
+    const lastIndex = draftWord.length - 1;
+    setDraftWord(prev => prev.slice(0, -1));
+    setDraftColors(prev => prev.map(colors => colors.map((color, i) => (i === lastIndex ? 'gray' : color))));
+  }, [draftWord]);
+
+  // Replace the whole draft (e.g., picking a word from a mini cloud)
+  const setDraft = useCallback((word) => {
+    setDraftWord(word.toUpperCase().replace(/[^A-Z]/g, '').slice(0, wordLength));
+    setDraftColors(createDraftColors(boardCount, wordLength));
+  }, [boardCount, wordLength]);
+
+  // Cycle one board's draft tile color (only tiles that have a letter)
+  const cycleDraftColor = useCallback((boardIndex, position) => {
+    if (position >= draftWord.length) return;
+    setDraftColors(prev => prev.map((colors, i) => (
+      i === boardIndex
+        ? colors.map((color, j) => (j === position ? nextTileColor(color) : color))
+        : colors
+    )));
+  }, [draftWord]);
+
+  // ========================================
+  // SHARED GUESS ACTIONS
+  // ========================================
+
+  // Play the draft on every unsolved board, each with its own colors
+  // Returns { success: true/false, error?: string } for validation feedback
+  const submitGuess = useCallback(() => {
+    if (draftWord.length < wordLength) {
+      return { success: false, error: `Type all ${wordLength} letters first` };
+    }
+
+    const touched = [];
+    reports.forEach((report, index) => {
+      const actions = boardActions.current[index];
+      if (!actions || report?.isSolved) return;
+      if (actions.submitGuess(draftWord, draftColors[index]).success) {
+        touched.push(index);
+      }
+    });
+
+    if (touched.length === 0) {
+      return { success: false, error: 'Every board is already solved' };
+    }
+
+    recordEdit(touched);
+    setDraftWord('');
+    setDraftColors(createDraftColors(boardCount, wordLength));
+    return { success: true };
+  }, [draftWord, draftColors, reports, wordLength, boardCount, recordEdit]);
+
+  // Remove the Nth shared guess from every board that has it
+  const removeGuess = useCallback((guessIndex) => {
+    const touched = [];
+    boardActions.current.forEach((actions, index) => {
+      if (actions?.removeGuess(guessIndex).success) {
+        touched.push(index);
+      }
+    });
+    recordEdit(touched);
+  }, [recordEdit]);
+
+  // Fix the colors of one guess on one board
+  const updateGuessColors = useCallback((boardIndex, guessIndex, colors) => {
+    if (boardActions.current[boardIndex]?.updateGuessColors(guessIndex, colors).success) {
+      recordEdit([boardIndex]);
+    }
+  }, [recordEdit]);
+
+  // Start over on every board
+  const clearAll = useCallback(() => {
+    const touched = [];
+    boardActions.current.forEach((actions, index) => {
+      if (actions) {
+        actions.clearAll();
+        touched.push(index);
+      }
+    });
+    recordEdit(touched);
+    setDraftWord('');
+    setDraftColors(createDraftColors(boardCount, wordLength));
+  }, [boardCount, wordLength, recordEdit]);
+
+  // ========================================
+  // UNDO / REDO
+  // ========================================
+
+  // Undo the last shared edit on the boards it touched
+  const undo = useCallback(() => {
+    if (history.length === 0) return;
+    const boardIndices = history[history.length - 1];
+    boardIndices.forEach(index => boardActions.current[index]?.undo());
+    setHistory(prev => prev.slice(0, -1));
+    setFuture(prev => [...prev, boardIndices].slice(-historyLimit));
+  }, [history, historyLimit]);
+
+  // Redo the last undone shared edit - the mirror image of undo
+  const redo = useCallback(() => {
+    if (future.length === 0) return;
+    const boardIndices = future[future.length - 1];
+    boardIndices.forEach(index => boardActions.current[index]?.redo());
+    setFuture(prev => prev.slice(0, -1));
+    setHistory(prev => [...prev, boardIndices].slice(-historyLimit));
+  }, [future, historyLimit]);
+
+  // ========================================
+  // COMPUTED VALUES
+  // ========================================
+
+  // Task input for combined suggestions: every unsolved board that has reported
+  // (index keeps each board's position, since solved boards are left out)
+  const analysisPayload = useMemo(() => ({
+    boards: reports
+      .map((report, index) => ({ ...report, index }))
+      .filter(report => report.constraints && !report.isSolved && !report.isLoading)
+      .map(({ constraints, index }) => ({ constraints, index })),
+    wordListMode: settings.wordListMode,
+    wordLength,
+    hidePastAnswersBefore
+  }), [reports, settings.wordListMode, wordLength, hidePastAnswersBefore]);
+
+  const value = {
+    boardCount,
+    wordLength,
+    draftWord,
+    draftColors,
+    reports,
+    analysisPayload,
+    registerBoard,
+    reportBoard,
+    addDraftLetter,
+    removeDraftLetter,
+    setDraft,
+    cycleDraftColor,
+    submitGuess,
+    removeGuess,
+    updateGuessColors,
+    clearAll,
+    undo,
+    redo,
+    canUndo: history.length > 0,
+    canRedo: future.length > 0
+  };
+
+  return (
+    <MultiBoardContext.Provider value={value}>
+      {children}
+    </MultiBoardContext.Provider>
+  );
+}
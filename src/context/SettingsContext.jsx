@@ -0,0 +1,123 @@
+/**
+ * SETTINGS CONTEXT - User Preferences
+ *
+ * Stores app-wide preferences that aren't part of the puzzle itself
+ * (e.g., which word list the cloud shows) and persists them to localStorage.
+ *
+ * What it does:
+ * - Loads saved settings on startup (merged with DEFAULT_SETTINGS)
+ * - Uses a shared link's word length for this page without saving it
+ * - Saves settings whenever they change
+ * - Validates every setting (SETTING_VALIDATORS): a bad saved value falls
+ *   back to its default, a bad update is ignored
+ * - Provides updateSetting(key, value) for components
+ *
+ * React Context Pattern:
+ * - SettingsProvider wraps the app (outside ConstraintProvider, which reads it)
+ * - useSettings() hook (hooks/useSettings.js) lets any component access the settings
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { SettingsContext } from '../hooks/useSettings';
+import { readWordLengthFromUrl } from '../utils/boardUrl';
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_STORAGE_KEY,
+  WORD_LENGTH_OPTIONS,
+  BOARD_COUNTS,
+  WORD_LIST_MODES,
+  RESULT_VIEWS,
+  PAST_ANSWER_MODES,
+  MIN_UNDO_HISTORY_LIMIT,
+  MAX_UNDO_HISTORY_LIMIT
+} from '../constants';
+
+// Validator builders: (value, fallback) => value if it's valid, else fallback
+const oneOf = (options) => (value, fallback) => (options.includes(value) ? value : fallback);
+const isBoolean = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+
+// One validator per setting in DEFAULT_SETTINGS
+const SETTING_VALIDATORS = {
+  wordLength: oneOf(WORD_LENGTH_OPTIONS),
+  boardCount: oneOf(BOARD_COUNTS),
+  wordListMode: oneOf(Object.values(WORD_LIST_MODES)),
+  resultView: oneOf(Object.values(RESULT_VIEWS)),
+  pastAnswers: oneOf(Object.values(PAST_ANSWER_MODES)),
+  // null (today) or a YYYY-MM-DD date
+  puzzleDate: (value, fallback) => (
+    value === null || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) ? value : fallback
+  ),
+  showLetterHeatmap: isBoolean,
+  keyboardFrequency: isBoolean,
+  nativeKeyboard: isBoolean,
+  // Whole number of undo steps, clamped to the allowed range
+  undoHistoryLimit: (value, fallback) => (Number.isFinite(value)
+    ? Math.min(MAX_UNDO_HISTORY_LIMIT, Math.max(MIN_UNDO_HISTORY_LIMIT, Math.round(value)))
+    : fallback)
+};
+
+// Read saved settings, ignoring anything corrupt or unknown
+// (each setting is checked on its own, so one bad value doesn't reset the rest)
+function loadSettings() {
+  if (typeof window === 'undefined') return DEFAULT_SETTINGS;
+
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+  } catch {
+    // Corrupt JSON or blocked storage: start from the defaults
+  }
+
+  return Object.fromEntries(Object.entries(DEFAULT_SETTINGS).map(([key, defaultValue]) => [
+    key,
+    SETTING_VALIDATORS[key](saved?.[key], defaultValue)
+  ]));
+}
+
+export function SettingsProvider({ children }) {
+  // The user's own settings (what gets saved)
+  const [savedSettings, setSavedSettings] = useState(loadSettings);
+
+  // A shared link's word length, so the linked board can load
+  // Applies to this page only: the saved preference is left alone
+  // (the URL keeps it across a refresh, see utils/boardUrl.js)
+  const [linkedWordLength, setLinkedWordLength] = useState(readWordLengthFromUrl);
+
+  const settings = useMemo(
+    () => (linkedWordLength ? { ...savedSettings, wordLength: linkedWordLength } : savedSettings),
+    [savedSettings, linkedWordLength]
+  );
+
+  // Persist settings whenever they change
+  // (fails quietly: private browsing or a full quota only loses persistence)
+  useEffect(() => {
+    try {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(savedSettings));
+    } catch (error) {
+      console.warn('Could not save settings:', error);
+    }
+  }, [savedSettings]);
+
+  // Update a single setting by key
+  // Invalid values keep the current setting (undoHistoryLimit is clamped instead)
+  // Picking a word length replaces the one from a shared link
+  const updateSetting = useCallback((key, value) => {
+    if (!SETTING_VALIDATORS[key]) {
+      console.warn(`Unknown setting "${key}"`);
+      return;
+    }
+    if (key === 'wordLength') setLinkedWordLength(null);
+    setSavedSettings(prev => ({ ...prev, [key]: SETTING_VALIDATORS[key](value, prev[key]) }));
+  }, []);
+
+  const value = {
+    settings,
+    updateSetting
+  };
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
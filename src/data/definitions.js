@@ -0,0 +1,2205 @@
+// src/data/definitions.js
+//
+// OFFLINE DEFINITIONS (generated by scripts/buildDefinitions.js - do not edit by hand)
+//
+// Definitions for the likely answers, loaded on demand the first time a
+// definition is opened (see utils/definitions.js). Words missing here are
+// looked up online.
+//
+// Entry format: [[partOfSpeech, [[definition, example?], ...], [synonym, ...]], ...]
+//
+// Source: WordNet 3.1, via the wordnet-db npm package.
+// WordNet 3.0 Copyright 2006 by Princeton University. All rights reserved.
+// THIS SOFTWARE AND DATABASE IS PROVIDED "AS IS" AND PRINCETON UNIVERSITY MAKES
+// NO REPRESENTATIONS OR WARRANTIES, EXPRESS OR IMPLIED. BY WAY OF EXAMPLE, BUT
+// NOT LIMITATION, PRINCETON UNIVERSITY MAKES NO REPRESENTATIONS OR WARRANTIES OF
+// MERCHANTABILITY OR FITNESS FOR ANY PARTICULAR PURPOSE OR THAT THE USE OF THE
+// LICENSED SOFTWARE, DATABASE OR DOCUMENTATION WILL NOT INFRINGE ANY THIRD PARTY
+// PATENTS, COPYRIGHTS, TRADEMARKS OR OTHER RIGHTS.
+
+/**
+ * Definitions by word
+ * Total: 2180 of 2315 answers
+ */
+export const DEFINITIONS = {
+  aback: [["adverb",[["having the wind against the forward side of the sails","the ship came up into the wind with all yards aback"],["by surprise","taken aback by the caustic remarks"]],[]]],
+  abase: [["verb",[["cause to feel shame; hurt the pride of","He humiliated his colleague by criticising him in front of the boss"]],["humiliate","mortify","chagrin","humble"]]],
+  abate: [["verb",[["make less active or intense"],["become less in amount or intensity","The storm abated"]],["slake","slack","let up","slack off","die away"]]],
+  abbey: [["noun",[["a church associated with a monastery or convent"],["a convent ruled by an abbess"],["a monastery ruled by an abbot"]],[]]],
+  abbot: [["noun",[["the superior of an abbey of monks"]],["archimandrite"]]],
+  abhor: [["verb",[["find repugnant","I loathe that man"]],["loathe","abominate","execrate"]]],
+  abide: [["verb",[["dwell","You can stay with me while you are in town"],["put up with something or somebody unpleasant","I cannot bear his constant criticism"]],["bide","stay","digest","endure","stick out"]]],
+  abode: [["noun",[["any address at which you dwell more than temporarily","a person can have several residences"],["housing that someone is living in","he built a modest dwelling near the pond"]],["residence","dwelling","home","domicile","habitation"]]],
+  abort: [["noun",[["the act of terminating a project or procedure before it is completed","I wasted a year of my life working on an abort"]],[]],["verb",[["terminate before completion","abort the mission"],["cease development, die, and be aborted","an aborting fetus"],["terminate a pregnancy by undergoing an abortion"]],[]]],
+  about: [["adverb",[["(of quantities) imprecise but fairly close to correct","lasted approximately an hour"],["all around or on all sides","dirty clothes lying around (or about)"],["in the area or vicinity","a few spectators standing about"]],["approximately","close to","just about","some","roughly"]],["adjective",[["on the move","up and about"]],["astir"]]],
+  above: [["adverb",[["(in writing) at an earlier place","see above"],["in or to a place that is higher"]],["supra","higher up","in a higher place","to a higher place"]],["adjective",[["appearing earlier in the same text","flaws in the above interpretation"]],[]],["noun",[["an earlier section of a written text","for instructions refer to the above"]],[]]],
+  abuse: [["verb",[["treat badly","This boss abuses his workers"],["change the inherent purpose or function of something","Don't abuse the system"],["use foul or abusive language towards","The actress abused the policeman who gave her a parking ticket"]],["mistreat","maltreat","ill-use","step","ill-treat"]],["noun",[["cruel or inhumane treatment","the child showed signs of physical abuse"],["a rude expression intended to offend or hurt","when a student made a stupid mistake he spared them no abuse"],["improper or excessive use","alcohol abuse"]],["maltreatment","ill-treatment","ill-usage","insult","revilement"]]],
+  abyss: [["noun",[["a bottomless gulf or pit; any unfathomable (or apparently unfathomable) cavity or chasm or void extending below (often used figuratively)"]],["abysm"]]],
+  acorn: [["noun",[["fruit of the oak tree: a smooth thin-walled nut in a woody cup-shaped base"]],[]]],
+  acrid: [["adjective",[["strong and sharp","the pungent taste of radishes"],["harsh or corrosive in tone","an acerbic tone piercing otherwise flowery prose"]],["pungent","acerb","acerbic","acid","bitter"]]],
+  actor: [["noun",[["a theatrical performer"],["a person who acts and gets things done","he's a principal actor in this affair"]],["histrion","player","thespian","role player","doer"]]],
+  acute: [["adjective",[["having or experiencing a rapid onset and short but severe course","acute appendicitis"],["extremely sharp or severe","acute pain"],["having or demonstrating ability to recognize or draw fine distinctions","an acute observer of politics and politicians"]],["intense","discriminating","incisive","keen","knifelike"]],["noun",[["a mark placed above a vowel to indicate pronunciation"]],["acute accent","ague"]]],
+  adage: [["noun",[["a condensed but memorable saying embodying some important fact of experience that is taken as true by many people"]],["proverb","saw","byword"]]],
+  adapt: [["verb",[["make fit for, or change to suit a new purpose","Adapt our native cuisine to the available food resources of the new country"],["adapt or conform oneself to new or different conditions","We must adjust to the bad economic situation"]],["accommodate","adjust","conform"]]],
+  adept: [["adjective",[["having or showing knowledge and skill and aptitude","adept in handicrafts"]],["expert","good","practiced","proficient","skillful"]],["noun",[["someone who is dazzlingly skilled in any field"]],["ace","champion","sensation","maven","mavin"]]],
+  admit: [["verb",[["declare to be true or admit the existence or reality or truth of","He admitted his errors"],["allow to enter; grant entry to","We cannot admit non-members into our club building"],["allow participation in or the right to be part of; permit to exercise the rights, functions, and responsibilities of","admit someone to the profession"]],["acknowledge","allow in","let in","intromit","include"]]],
+  adobe: [["noun",[["the clay from which adobe bricks are made"],["sun-dried brick; used in hot dry climates"]],["adobe brick"]]],
+  adopt: [["verb",[["choose and follow; as of theories, ideas, policies, strategies or plans","She followed the feminist movement"],["take up and practice as one's own"],["take on titles, offices, duties, responsibilities","When will the new President assume office?"]],["follow","espouse","borrow","take over","take up"]]],
+  adore: [["verb",[["love intensely","he just adored his wife"]],[]]],
+  adorn: [["verb",[["make more attractive by adding ornament, colour, etc.","Decorate the room for the party"],["be beautiful to look at","Flowers adorned the tables everywhere"],["furnish with power or authority; of kings or emperors"]],["decorate","grace","ornament","embellish","beautify"]]],
+  adult: [["noun",[["a fully developed person from maturity onward"],["any mature animal"]],["grownup"]],["adjective",[["(of animals) fully developed","an adult animal"],["designed to arouse lust","pornographic films and magazines"]],["big","full-grown","fully grown","grown","grownup"]]],
+  affix: [["verb",[["attach to","affix the seal here"],["add to the very end","He appended a glossary to his novel where he used an invented language"],["attach or become attached to a stem word","grammatical morphemes affix to the stem"]],["stick on","append","add on","supplement"]],["noun",[["a linguistic element added to a word to produce an inflected or derived form"]],[]]],
+  afire: [["adjective",[["lighted up by or as by fire or flame","forests set ablaze (or afire) by lightning"]],["ablaze","aflame","aflare","alight","on fire"]]],
+  afoot: [["adverb",[["on foot; walking","they went to the village afoot"]],[]],["adjective",[["traveling by foot","she was afoot when I saw her this morning"],["currently in progress","there is mischief afoot"]],["underway"]]],
+  afoul: [["adjective",[["especially of a ship's lines etc","with its sails afoul"]],["foul","fouled"]]],
+  after: [["adverb",[["happening at a time subsequent to a reference time","he apologized subsequently"],["behind or in the rear","and Jill came tumbling after"]],["subsequently","later","afterwards","afterward","later on"]],["adjective",[["located farther aft"]],[]]],
+  again: [["adverb",[["anew","she tried again"]],["once again","once more","over again"]]],
+  agape: [["adjective",[["with the mouth wide open as in wonder or awe","the gaping audience"]],["gaping"]],["noun",[["(Christian theology) the love of God or Christ for mankind"],["selfless love of one person for another without sexual implications (especially love that is spiritual in nature)"],["a religious meal shared as a sign of love and fellowship"]],["agape love","love feast"]]],
+  agate: [["noun",[["an impure form of quartz consisting of banded chalcedony; used as a gemstone and for making mortars and pestles"]],[]]],
+  agent: [["noun",[["an active and efficient cause; capable of producing a certain effect","their research uncovered new disease agents"],["a representative who acts on behalf of other persons or organizations"],["a substance that exerts some force or effect"]],[]]],
+  agile: [["adjective",[["moving quickly and lightly","sleek and agile as a gymnast"],["mentally quick","an agile mind"]],["nimble","quick","spry"]]],
+  aging: [["noun",[["acquiring desirable qualities by being left undisturbed for some time"],["the organic process of growing older and showing the effects of increasing age"]],["ripening","ageing","senescence"]],["adjective",[["growing old"]],["ageing","senescent"]]],
+  aglow: [["adjective",[["softly bright or radiant","a house aglow with lights"]],["lambent","lucent","luminous"]]],
+  agony: [["noun",[["intense feelings of suffering; acute mental or physical pain","an agony of doubt"],["a state of acute pain"]],["torment","torture","suffering","excruciation"]]],
+  agora: [["noun",[["100 agorot equal 1 shekel in Israel"],["the marketplace in ancient Greece"],["a place of assembly for the people in ancient Greece"]],["public square"]]],
+  agree: [["verb",[["be in accord; be in agreement","We agreed on the terms of the settlement"],["consent or assent to a condition, or agree to do something","She agreed to all my conditions"],["be compatible, similar or consistent; coincide in their characteristics","The two stories don't agree in many details"]],["hold","concur","concord","match","fit"]]],
+  ahead: [["adverb",[["at or in the front","I see the lights of a town ahead"],["toward the future; forward in time","I like to look ahead in imagination to what the future may bring"],["in a forward direction","go ahead"]],["in front","before","forward","onward","onwards"]],["adjective",[["having the leading position or higher score in a contest","he is ahead by a pawn"]],["in the lead","leading"]]],
+  aisle: [["noun",[["a long narrow passage (as in a cave or woods)"],["passageway between seating areas as in an auditorium or passenger vehicle or between areas of shelves of goods as in stores"],["part of a church divided laterally from the nave proper by rows of pillars or columns"]],["gangway"]]],
+  alarm: [["noun",[["fear resulting from the awareness of danger"],["a device that signals the occurrence of some undesirable event"],["an automatic signal (usually a sound) warning of danger"]],["dismay","consternation","warning device","alarm system","alert"]],["verb",[["fill with apprehension or alarm; cause to be unpleasantly surprised","I was horrified at the thought of being late for my interview"],["warn or arouse to a sense of danger or call to a state of preparedness","The empty house alarmed him"]],["dismay","appal","appall","horrify","alert"]]],
+  album: [["noun",[["one or more recordings issued together; originally released on 12-inch phonograph records (usually with attractive record covers) and later on cassette audiotape and compact disc"],["a book of blank pages with pockets or envelopes; for organizing photographs or stamp collections etc"]],["record album"]]],
+  alert: [["verb",[["warn or arouse to a sense of danger or call to a state of preparedness","The empty house alarmed him"]],["alarm"]],["adjective",[["engaged in or accustomed to close observation","caught by a couple of alert cops"],["quick and energetic","a brisk walk in the park"],["mentally perceptive and responsive","an alert mind"]],["watchful","brisk","lively","merry","rattling"]],["noun",[["condition of heightened watchfulness or preparation for action","bombers were put on alert during the crisis"],["a warning serves to make you more alert to danger"],["an automatic signal (usually a sound) warning of danger"]],["qui vive","alerting","alarm","warning signal","alarum"]]],
+  algae: [["noun",[["primitive chlorophyll-containing mainly aquatic eukaryotic organisms lacking true stems and roots and leaves"]],["alga"]]],
+  alibi: [["noun",[["(law) a defense by an accused person purporting to show that he or she could not have committed the crime in question"],["a defense of some offensive behavior or some failure to keep a promise etc.","he kept finding excuses to stay"]],["excuse","exculpation","self-justification"]],["verb",[["exonerate by means of an alibi"]],[]]],
+  alien: [["adjective",[["not contained in or deriving from the essential nature of something","an economic theory alien to the spirit of capitalism"],["being or from or characteristic of another place or part of the world","alien customs"]],["foreign","exotic"]],["noun",[["a person who comes from a foreign country; someone who does not owe allegiance to your country"],["anyone who does not belong in the environment in which they are found"],["a form of life assumed to exist outside the Earth or its atmosphere"]],["foreigner","noncitizen","outlander","stranger","unknown"]],["verb",[["transfer property or ownership","The will aliened the property to the heirs"]],["alienate"]]],
+  align: [["verb",[["place in a line or arrange so as to be parallel or straight","align the car with the curb"],["be or come into adjustment with"],["align oneself with a group or a way of thinking"]],["aline","line up","adjust","array"]]],
+  alike: [["adjective",[["having the same or similar characteristics","all politicians are alike"]],["similar","like"]],["adverb",[["equally","parents and teachers alike demanded reforms"],["in a like manner","they walk alike"]],["likewise"]]],
+  alive: [["adjective",[["possessing life","the happiest person alive"],["(often followed by `with') full of life and spirit","she was wonderfully alive for her age"],["having life or vigor or spirit","an animated and expressive face"]],["live","animated"]]],
+  allay: [["verb",[["lessen the intensity of or calm","The news eased my conscience"],["satisfy (thirst)","The cold water quenched his thirst"]],["still","relieve","ease","quench","slake"]]],
+  alley: [["noun",[["a narrow street with walls on both sides"],["a lane down which a bowling ball is rolled toward pins"]],["alleyway","back street","bowling alley","skittle alley"]]],
+  allot: [["verb",[["give out","We were assigned new uniforms"],["allow to have","grant a privilege"],["administer or bestow, as in small portions","administer critical remarks to everyone present"]],["assign","portion","accord","grant","distribute"]]],
+  allow: [["verb",[["make it possible through a specific action or lack of action for something to happen","This permits the water to rush in"],["consent to, give permission","She permitted her son to visit her estranged husband"],["let have","grant permission"]],["let","permit","countenance","grant"]]],
+  alloy: [["noun",[["a mixture containing two or more metallic elements or metallic and nonmetallic elements usually fused together or dissolving into each other when molten","brass is an alloy of zinc and copper"],["the state of impairing the quality or reducing the value of something"]],["metal","admixture"]],["verb",[["lower in value by increasing the base-metal content"],["make an alloy of"]],["debase"]]],
+  aloft: [["adverb",[["at or on or to the masthead or upper rigging of a ship","climbed aloft to unfurl the sail"],["upward","the good news sent her spirits aloft"],["at or to great height; high up in or into the air","eagles were soaring aloft"]],[]]],
+  alone: [["adjective",[["isolated from others","could be alone in a crowded room"],["lacking companions or companionship","he was alone when we met him"],["exclusive of anyone or anything else","she alone believed him"]],["lone","lonely","solitary","only"]],["adverb",[["without any others being included or involved","was entirely to blame"],["without anybody else or anything else","the child stayed home alone"]],["entirely","exclusively","solely","only","solo"]]],
+  along: [["adverb",[["with a forward motion","we drove along admiring the view"],["in accompaniment or as a companion","his little sister came along to the movies"],["to a more advanced state","the work is moving along"]],["on"]]],
+  aloof: [["adjective",[["remote in manner","stood apart with aloof dignity"]],["distant","upstage"]],["adverb",[["in an aloof manner","the local gentry and professional classes had held aloof for the school had accepted their sons readily enough"]],[]]],
+  aloud: [["adverb",[["using the voice; not silently","please read the passage aloud"],["with relatively high volume","the band played loudly"]],["out loud","loudly","loud"]]],
+  alpha: [["noun",[["the 1st letter of the Greek alphabet"],["the beginning of a series or sequence","the Alpha and Omega, the first and the last, the beginning and the end"]],[]],["adjective",[["first in order of importance","the alpha male in the group of chimpanzees"],["early testing stage of a software or hardware product","alpha version"]],[]]],
+  altar: [["noun",[["the table in Christian churches where communion is given"],["a raised structure on which gifts or sacrifices to a god are made"]],["communion table"]]],
+  alter: [["verb",[["cause to change; make different; cause a transformation","The advent of the automobile may have altered the growth pattern of the city"],["become different in some particular way, without permanently losing one's or its former characteristics or essence","her mood changes in accordance with the weather"],["make an alteration to","This dress needs to be altered"]],["change","modify","vary"]]],
+  amass: [["verb",[["collect or gather","Journals are accumulating in my office"],["get or gather together","I am accumulating evidence for the man's unfaithfulness to his wife"]],["accumulate","cumulate","conglomerate","pile up","gather"]]],
+  amaze: [["verb",[["affect with wonder","Your ability to speak six languages amazes me!"],["be a mystery or bewildering to","This beats me!"]],["astonish","astound","perplex","vex","stick"]]],
+  amber: [["noun",[["a deep yellow color","an amber light illuminated the room"],["a hard yellowish to brownish translucent fossil resin; used for jewelry"]],["gold"]],["adjective",[["of a medium to dark brownish yellow color"]],["brownish-yellow","yellow-brown"]]],
+  amble: [["verb",[["walk leisurely"]],["mosey"]],["noun",[["a leisurely walk (usually in some public place)"]],["promenade","saunter","stroll","perambulation"]]],
+  amend: [["verb",[["make amendments to","amend the document"],["to make better","The editor improved the manuscript with his changes"],["set straight or right","remedy these deficiencies"]],["better","improve","ameliorate","meliorate","rectify"]]],
+  amiss: [["adjective",[["not functioning properly","something is amiss"]],["awry","haywire","wrong"]],["adverb",[["away from the correct or expected course","something has gone awry in our plans"],["in an improper or mistaken or unfortunate manner","if you think him guilty you judge amiss"],["in an imperfect or faulty way","The lobe was imperfectly developed"]],["awry","imperfectly"]]],
+  amity: [["noun",[["a cordial disposition"],["a state of friendship and cordiality"]],["cordiality"]]],
+  ample: [["adjective",[["more than enough in size or scope or capacity","had ample food for the party"],["affording an abundant supply","had ample food for the party"],["fairly large in size","a sizable fortune"]],["copious","plenteous","plentiful","rich","sizable"]]],
+  amply: [["adverb",[["to an ample degree or in an ample manner","these voices were amply represented"],["sufficiently; more than adequately","the evidence amply (or fully) confirms our suspicions"]],["richly","fully"]]],
+  amuse: [["verb",[["occupy in an agreeable, entertaining or pleasant fashion","The play amused the ladies"],["make (somebody) laugh","The clown amused the children"]],["divert","disport"]]],
+  angel: [["noun",[["spiritual being attendant upon God"],["person of exceptional holiness"],["invests in a theatrical production"]],["saint","holy man","holy person","backer"]]],
+  anger: [["noun",[["a strong emotion; a feeling that is oriented toward some real or supposed grievance"],["the state of being angry"],["belligerence aroused by a real or supposed wrong (personified as one of the deadly sins)"]],["choler","ire","angriness","wrath","ira"]],["verb",[["make angry","The news angered him"],["become angry","He angers easily"]],["see red"]]],
+  angle: [["noun",[["the space between two lines or planes that intersect; the inclination of one line to another; measured in degrees or radians"],["a biased way of looking at or presenting something"],["a member of a Germanic people who conquered England and merged with the Saxons and Jutes to become Anglo-Saxons"]],["slant"]],["verb",[["move or proceed at an angle","he angled his way into the room"],["to incline or bend from a vertical position","She leaned over the banister"],["seek indirectly","fish for compliments"]],["lean","tilt","tip","slant","fish"]]],
+  angry: [["adjective",[["feeling or showing anger","angry at the weather"],["(of the elements) as if showing violent anger","angry clouds on the horizon"],["severely inflamed and painful","an angry sore"]],["furious","raging","tempestuous","wild"]]],
+  angst: [["noun",[["an acute but unspecific feeling of anxiety; usually reserved for philosophical anxiety about the world or about personal freedom"]],[]]],
+  anime: [["noun",[["a hard copal derived from an African tree"],["any of various resins or oleoresins"],["a style of animation developed in Japan, characterized by stylized colorful art and often adult themes"]],["gum anime"]]],
+  ankle: [["noun",[["a gliding joint between the distal ends of the tibia and fibula and the proximal end of the talus"]],["ankle joint","mortise joint","articulatio talocruralis"]]],
+  annex: [["noun",[["an addition that extends a main building"]],["annexe","extension","wing"]],["verb",[["take (territory) as if by conquest","Hitler annexed Lithuania"],["attach to"]],[]]],
+  annoy: [["verb",[["cause annoyance in; disturb, especially by minor irritations","Mosquitoes buzzing in my ear really bothers me"]],["rag","get to","bother","get at","irritate"]]],
+  annul: [["verb",[["declare invalid","The contract was annulled"],["cancel officially","He revoked the ban on smoking"]],["invalidate","quash","void","avoid","nullify"]]],
+  anode: [["noun",[["a positively charged electrode by which electrons leave an electrical device"],["the negatively charged terminal of a voltaic cell or storage battery that supplies current"]],[]]],
+  antic: [["adjective",[["ludicrously odd","Hamlet's assumed antic disposition"]],["fantastic","fantastical","grotesque"]],["noun",[["a ludicrous or grotesque act done for fun and amusement"]],["joke","prank","trick","caper","put-on"]],["verb",[["act as or like a clown"]],["clown","clown around"]]],
+  anvil: [["noun",[["a heavy block of iron or steel on which hot metals are shaped by hammering"],["the ossicle between the malleus and the stapes"]],["incus"]]],
+  aorta: [["noun",[["the large trunk artery that carries blood from the left ventricle of the heart to branch arteries"]],[]]],
+  apart: [["adverb",[["separated or at a distance in place or position or time","These towns are many miles apart"],["not taken into account or excluded from consideration","these problems apart, the country is doing well"],["away from another or others","they grew apart over the years"]],["aside"]],["adjective",[["remote and separate physically or socially","existed over the centuries as a world apart"],["having characteristics not shared by others","scientists felt they were a group apart"]],["isolated","obscure"]]],
+  aphid: [["noun",[["any of various small plant-sucking insects"]],[]]],
+  apnea: [["noun",[["transient cessation of respiration"]],[]]],
+  apple: [["noun",[["fruit with red or yellow or green skin and sweet to tart crisp whitish flesh"],["native Eurasian tree widely cultivated in many varieties for its firm rounded edible fruits"]],["orchard apple tree"]]],
+  apply: [["verb",[["put into service; make work or employ for a particular purpose or for its inherent or natural purpose","use your head!"],["be pertinent or relevant or applicable","The same laws apply to you!"],["ask (for something)","He applied for a leave of absence"]],["use","utilize","utilise","employ","hold"]]],
+  apron: [["noun",[["a garment of cloth or leather or plastic that is tied about the waist and worn to protect your clothing"],["(golf) the part of the fairway leading onto the green"],["the part of a modern theater stage between the curtain and the orchestra (i.e., in front of the curtain)"]],["proscenium","forestage"]]],
+  aptly: [["adverb",[["with competence; in a competent capable manner","they worked competently"]],["competently","ably","capably"]]],
+  arbor: [["noun",[["tree (as opposed to shrub)"],["any of various rotating shafts that serve as axes for larger rotating parts"],["a framework that supports climbing plants","the arbor provided a shady resting place in the park"]],["spindle","mandrel","mandril","arbour","bower"]]],
+  ardor: [["noun",[["a feeling of strong eagerness (usually in favor of a person or cause)","they were imbued with a revolutionary ardor"],["intense feeling of love"],["feelings of great warmth and intensity","he spoke with great ardor"]],["ardour","elan","zeal","fervor","fervour"]]],
+  arena: [["noun",[["a particular environment or walk of life","his social sphere is limited"],["the central area of an ancient Roman amphitheater where contests and spectacles were held; especially an area that was strewn with sand"],["a large structure for open-air sports or entertainments"]],["sphere","domain","area","orbit","field"]]],
+  argue: [["verb",[["present reasons and arguments"],["have an argument about something"],["give evidence of","The evidence argues for your claim"]],["reason","contend","debate","fence","indicate"]]],
+  arise: [["verb",[["come into existence; take on form or shape","A new religious movement originated in that country"],["originate or come into being","a question arose"],["rise to one's feet","The audience got up and applauded"]],["originate","rise","develop","uprise","spring up"]]],
+  armor: [["noun",[["protective covering made of metal and used in combat"],["a military unit consisting of armored fighting vehicles"],["tough more-or-less rigid protective covering of an animal or plant"]],["armour"]],["verb",[["equip with armor"]],["armour"]]],
+  aroma: [["noun",[["any property detected by the olfactory system"],["a distinctive odor that is pleasant"]],["olfactory property","smell","odor","odour","scent"]]],
+  array: [["noun",[["an orderly arrangement","an array of troops in battle order"],["an impressive display","it was a bewildering array of books"],["especially fine or decorative clothing"]],["raiment","regalia"]],["verb",[["lay out orderly or logically in a line or as if in a line","lay out the clothes"],["align oneself with a group or a way of thinking"]],["range","lay out","set out","align"]]],
+  arrow: [["noun",[["a mark to indicate a direction or relation"],["a projectile with a straight thin shaft and an arrowhead on one end and stabilizing vanes on the other; intended to be shot from a bow"]],["pointer"]]],
+  arson: [["noun",[["malicious burning to destroy property","the British term for arson is fire-raising"]],["incendiarism","fire-raising"]]],
+  ascot: [["noun",[["a cravat with wide square ends; secured with an ornamental pin"]],[]]],
+  ashen: [["adjective",[["anemic looking from illness or emotion","a face turned ashen"],["made of wood of the ash tree"]],["blanched","bloodless","livid","white"]]],
+  aside: [["adverb",[["on or to one side","step aside"],["out of the way (especially away from one's thoughts)","brush the objections aside"],["not taken into account or excluded from consideration","these problems apart, the country is doing well"]],["away","apart"]],["noun",[["a line spoken by an actor to the audience but not intended for others on the stage"],["a message that departs from the main subject"]],["digression","excursus","divagation","parenthesis"]]],
+  askew: [["adjective",[["turned or twisted toward one side","a...youth with a gorgeous red necktie all awry"]],["awry","cockeyed","lopsided","wonky","skew-whiff"]],["adverb",[["turned or twisted to one side","rugs lying askew"]],["awry","skew-whiff"]]],
+  assay: [["noun",[["an appraisal of the state of affairs","they made an assay of the contents"],["a substance that is undergoing an analysis of its components"],["a written report of the results of an analysis of the composition of some substance"]],["check"]],["verb",[["analyze (chemical substances)"],["make an effort or attempt","He tried to shake off his fears"]],["try","seek","attempt","essay"]]],
+  asset: [["noun",[["a useful or valuable quality"]],["plus"]]],
+  atoll: [["noun",[["an island consisting of a circular coral reef surrounding a lagoon"]],[]]],
+  atone: [["verb",[["make amends for","expiate one's sins"],["turn away from sin or do penitence"]],["expiate","aby","abye","repent"]]],
+  attic: [["noun",[["floor consisting of open space at the top of a house just below roof; often used for storage"],["informal terms for a human head"],["(architecture) a low wall at the top of the entablature; hides the roof"]],["loft","garret","bean","bonce","noodle"]],["adjective",[["of or relating to Attica or its inhabitants or to the dialect spoken in Athens in classical times","Attic Greek"]],[]]],
+  audio: [["noun",[["the audible part of a transmitted signal","they always raise the audio for commercials"],["an audible acoustic wave frequency"],["a recording of acoustic signals"]],["sound","audio frequency","sound recording","audio recording"]]],
+  audit: [["noun",[["an inspection of the accounting procedures and records by a trained accountant or CPA"],["a methodical examination or review of a condition or situation","he made an audit of all the plants on his property"]],["audited account"]],["verb",[["examine carefully for accuracy with the intent of verification","audit accounts and tax returns"],["attend academic courses without getting credit"]],["scrutinize","scrutinise","inspect"]]],
+  augur: [["verb",[["indicate, as with a sign or an omen","These signs bode bad news"],["predict from an omen"]],["bode","portend","auspicate","prognosticate","omen"]],["noun",[["(ancient Rome) a religious official who interpreted omens to guide public policy"]],["auspex"]]],
+  aunty: [["noun",[["the sister of your father or mother; the wife of your uncle"]],["aunt","auntie"]]],
+  avail: [["verb",[["use to one's advantage","He availed himself of the available resources"],["be of use to, be useful to","It will avail them to dispose of their booty"],["take or use","She helped herself to some of the office supplies"]],["help"]],["noun",[["a means of serving","of no avail"]],["help","service"]]],
+  avert: [["verb",[["prevent the occurrence of; prevent from happening","Let's avoid a confrontation"],["turn away or aside","They averted their eyes when the King entered"]],["debar","forefend","forfend","obviate","deflect"]]],
+  avian: [["adjective",[["pertaining to or characteristic of birds"]],[]]],
+  avoid: [["verb",[["stay clear from; keep away from; keep out of the way of someone or something","Her former friends now avoid her"],["prevent the occurrence of; prevent from happening","Let's avoid a confrontation"],["refrain from doing something","She refrains from calling her therapist too often"]],["debar","forefend","forfend","obviate","deflect"]]],
+  await: [["verb",[["look forward to the probable occurrence of","We were expecting a visit from our relatives"]],["expect","look","wait"]]],
+  awake: [["verb",[["stop sleeping","She woke up to the sound of the alarm clock"]],["wake up","arouse","awaken","wake","come alive"]],["adjective",[["not in a state of sleep; completely conscious","lay awake thinking about his new job"],["mentally perceptive and responsive","an alert mind"]],["alert","alive"]]],
+  award: [["noun",[["a grant made by a law court","he criticized the awarding of compensation by the court"],["a tangible symbol signifying approval or distinction","an award for bravery"],["something given for victory or superiority in a contest or competition or for winning a lottery","the prize was a free trip to Europe"]],["awarding","accolade","honor","honour","laurels"]],["verb",[["give, especially as an honor or reward","bestow honors and prizes at graduation"],["give as judged due or on the basis of merit","the referee awarded a free kick to the team"]],["present","grant"]]],
+  aware: [["adjective",[["(sometimes followed by `of') having or showing knowledge or understanding or realization or perception","was aware of his opponent's hostility"],["bearing in mind; attentive to","ever mindful of her health"]],["cognizant","cognisant","mindful"]]],
+  awash: [["adjective",[["covered with water","the main deck was afloat (or awash)"]],["afloat","flooded","inundated","overflowing"]]],
+  awful: [["adjective",[["exceptionally bad or displeasing","atrocious taste"],["causing fear or dread or terror","the awful war"],["offensive or even (of persons) malicious","in a nasty mood"]],["atrocious","abominable","dreadful","painful","terrible"]],["adverb",[["used as intensifiers","terribly interesting"]],["terribly","awfully","frightfully"]]],
+  axial: [["adjective",[["of or relating to or resembling an axis of rotation"],["relating to or attached to the axis","axial angle"],["situated on or along or in the direction of an axis"]],["axile"]]],
+  axiom: [["noun",[["a saying that is widely accepted on its own merits"],["(logic) a proposition that is not susceptible of proof or disproof; its truth is assumed to be self-evident"]],["maxim"]]],
+  azure: [["noun",[["a light shade of blue"]],["cerulean","sapphire","lazuline","sky-blue"]],["verb",[["color azure","Morning azured the village"]],[]],["adjective",[["of a deep somewhat purplish blue color similar to that of a clear October sky","October's bright blue weather"]],["cerulean","sky-blue","bright blue"]]],
+  bacon: [["noun",[["back and sides of a hog salted and dried or smoked; usually sliced thin and fried"],["English scientist and Franciscan monk who stressed the importance of experimentation; first showed that air is required for combustion and first used lenses to correct vision (1220-1292)"],["English statesman and philosopher; precursor of British empiricism; advocated inductive reasoning (1561-1626)"]],[]]],
+  badge: [["noun",[["an emblem (a small piece of plastic or cloth or metal) that signifies your status (rank or membership or affiliation etc.)","they checked everyone's badge before letting them in"],["any feature that is regarded as a sign of status (a particular power or quality or rank)","wearing a tie was regarded as a badge of respectability"]],[]],["verb",[["put a badge on","The workers here must be badged"]],[]]],
+  badly: [["adverb",[["to a severe or serious degree","fingers so badly frozen they had to be amputated"],["(`ill' is often used as a combining form) in a poor or improper or unsatisfactory manner; not well","he was ill prepared"],["evilly or wickedly","treated his parents badly"]],["severely","gravely","seriously","ill","poorly"]]],
+  bagel: [["noun",[["(Yiddish) glazed yeast-raised doughnut-shaped roll with hard crust"]],["beigel"]]],
+  baggy: [["adjective",[["not fitting closely; hanging loosely","baggy trousers"]],["loose-fitting","sloppy"]]],
+  baker: [["noun",[["someone who bakes commercially"],["someone who bakes bread or cake"]],["bread maker"]]],
+  balmy: [["adjective",[["informal or slang terms for mentally irregular","it used to drive my husband balmy"],["mild and pleasant","balmy days and nights"]],["barmy","bats","batty","bonkers","buggy"]]],
+  banal: [["adjective",[["repeated too often; overfamiliar through overuse","bromidic sermons"]],["commonplace","hackneyed","old-hat","shopworn","stock"]]],
+  banjo: [["noun",[["a stringed instrument of the guitar family that has long neck and circular body"]],[]]],
+  barge: [["noun",[["a flatbottom boat for carrying heavy loads (especially on canals)"]],["flatboat","hoy","lighter"]],["verb",[["push one's way","she barged into the meeting room"],["transport by barge on a body of water"]],["thrust ahead","push forward"]]],
+  baron: [["noun",[["a nobleman (in various countries) of varying rank"],["a British peer of the lowest rank"],["a very wealthy or powerful businessman","an oil baron"]],["big businessman","business leader","king","magnate","mogul"]]],
+  basal: [["adjective",[["especially of leaves; located at the base of a plant or stem; especially arising directly from the root or rootstock or a root-like stem","basal placentation"],["of or being the essential or basic part","an elementary need for love and nurturing"],["serving as or forming a base","the painter applied a base coat followed by two finishing coats"]],["radical","elementary","elemental","primary","base"]]],
+  basic: [["adjective",[["pertaining to or constituting a base or basis","a basic fact"],["reduced to the simplest and most significant form possible without loss of generality","a basic story line"],["serving as a base or starting point","a basic course in Russian"]],["canonic","canonical","introductory"]],["noun",[["(usually in the plural) a necessary commodity for which demand is constant"],["a popular programming language that is relatively easy to learn; an acronym for beginner's all-purpose symbolic instruction code; no longer in general use"]],["staple"]]],
+  basil: [["noun",[["any of several Old World tropical aromatic annual or perennial herbs of the genus Ocimum"],["leaves of the common basil; used fresh or dried"],["(Roman Catholic Church) the bishop of Caesarea who defended the Roman Catholic Church against the heresies of the 4th century; a saint and Doctor of the Church (329-379)"]],["sweet basil"]]],
+  basin: [["noun",[["a bowl-shaped vessel; usually used for holding food or liquids","she mixed the dough in a large basin"],["the quantity that a basin will hold","a basinful of water"],["a natural depression in the surface of the land often with a lake at the bottom of it","the basin of the Great Salt Lake"]],["basinful"]]],
+  basis: [["noun",[["a relation that provides the foundation for something","they were on a friendly footing"],["the fundamental assumptions from which something is begun or developed or calculated or explained","the whole argument rested on a basis of conjecture"],["the most important or necessary part of something","the basis of this drink is orange juice"]],["footing","ground","base","foundation","fundament"]]],
+  baste: [["verb",[["cover with liquid before cooking","baste a roast"],["strike violently and repeatedly","She clobbered the man who tried to attack her"],["sew together loosely, with large stitches","baste a hem"]],["clobber","batter","tack"]],["noun",[["a loose temporary sewing stitch to hold layers of fabric together"]],["basting","basting stitch","tacking"]]],
+  batch: [["noun",[["all the loaves of bread baked at the same time"],["(often followed by `of') a large number or amount or extent","a batch of letters"],["a collection of things or persons to be handled together"]],["deal","flock","good deal","great deal","hatful"]],["verb",[["batch together; assemble or process as a batch"]],[]]],
+  bathe: [["verb",[["cleanse the entire body","bathe daily"],["suffuse or envelope with something","The room was bathed in sunlight"],["swim for pleasure or recreation"]],[]],["noun",[["the act of swimming for pleasure or recreation","the Englishman said he had a good bathe"]],[]]],
+  baton: [["noun",[["a thin tapered rod used by a conductor to lead an orchestra or choir"],["a short stout club used primarily by policemen"],["a short staff carried by some officials to symbolize an office or an authority"]],["wand","truncheon","nightstick","billy","billystick"]]],
+  batty: [["adjective",[["informal or slang terms for mentally irregular","it used to drive my husband balmy"]],["balmy","barmy","bats","bonkers","buggy"]]],
+  bawdy: [["adjective",[["humorously vulgar","bawdy songs"]],["off-color","ribald"]],["noun",[["lewd or obscene talk or writing","it was smoking-room bawdry"]],["bawdry"]]],
+  bayou: [["noun",[["a swampy arm or slow-moving outlet of a lake (term used mainly in Mississippi and Louisiana)"]],[]]],
+  beach: [["noun",[["an area of sand sloping down to the water of a sea or lake"]],[]],["verb",[["land on a beach","the ship beached near the port"]],[]]],
+  beady: [["adjective",[["small and round and shiny like a shiny bead or button","bright beady eyes"],["covered with beads or jewels or sequins"]],["beadlike","buttony","buttonlike","gemmed","jeweled"]]],
+  beard: [["noun",[["the hair growing on the lower part of a man's face"],["a tuft or growth of hairs or bristles on certain plants such as iris or grasses"],["a person who diverts suspicion from someone (especially a woman who accompanies a male homosexual in order to conceal his homosexuality)"]],["face fungus","whiskers"]],["verb",[["go along the rim, like a beard around the chin","Houses bearded the top of the heights"]],[]]],
+  beast: [["noun",[["a living organism characterized by voluntary movement"],["a cruelly rapacious person"]],["animal","animate being","brute","creature","fauna"]]],
+  beech: [["noun",[["any of several large deciduous trees with rounded spreading crowns and smooth grey bark and small sweet edible triangular nuts enclosed in burs; north temperate regions"],["wood of any of various beech trees; used for flooring and containers and plywood and tool handles"]],["beech tree","beechwood"]]],
+  beefy: [["adjective",[["muscular and heavily built","a beefy wrestler"]],["burly","husky","strapping","buirdly"]]],
+  befit: [["verb",[["accord or comport with","This kind of behavior does not suit a young woman!"]],["suit","beseem"]]],
+  beget: [["verb",[["make (offspring) by reproduction","Abraham begot Isaac"]],["get","engender","father","mother","sire"]]],
+  begin: [["verb",[["take the first step or steps in carrying out an action","We began working at dawn"],["have a beginning, in a temporal, spatial, or evaluative sense","The DMZ begins right over the hill"],["set in motion, cause to start","The U.S. started a war in the Middle East"]],["get down","get","start out","start","set about"]],["noun",[["Israeli statesman (born in Russia) who (as prime minister of Israel) negotiated a peace treaty with Anwar Sadat (then the president of Egypt) (1913-1992)"]],[]]],
+  being: [["noun",[["the state or fact of existing","a point of view gradually coming into being"],["a living thing that has (or can develop) the ability to act or function independently"]],["beingness","existence","face of the earth","organism"]]],
+  belch: [["noun",[["a reflex that expels gas noisily from the stomach through the mouth"]],["belching","burp","burping","eructation"]],["verb",[["expel gas from the stomach","Please don't burp at the table"],["become active and spew forth lava and rocks","Vesuvius erupts once in a while"]],["burp","bubble","eruct","erupt","extravasate"]]],
+  belie: [["verb",[["be in contradiction with"],["represent falsely","This statement misrepresents my intentions"]],["contradict","negate","misrepresent"]]],
+  belle: [["noun",[["a young woman who is the most charming and beautiful of several rivals","she was the belle of the ball"]],[]]],
+  belly: [["noun",[["the region of the body of a vertebrate between the thorax and the pelvis"],["a protruding abdomen"],["a part that bulges deeply","the belly of a sail"]],["abdomen","venter","stomach","paunch"]],["verb",[["swell out or bulge out"]],["belly out"]]],
+  below: [["adverb",[["in or to a place that is lower"],["(in writing) at a later place","see below"],["on a floor below","the tenants live downstairs"]],["at a lower place","to a lower place","beneath","infra","downstairs"]]],
+  bench: [["noun",[["a long seat for more than one person"],["a level shelf of land interrupting a declivity (with steep slopes above and below)"],["persons who administer justice"]],["terrace","judiciary"]],["verb",[["take out of a game; of players"],["exhibit on a bench","bench the poodles at the dog show"]],[]]],
+  beret: [["noun",[["a cap with no brim or bill; made of soft cloth"]],[]]],
+  berry: [["noun",[["any of numerous small and pulpy edible fruits; used as desserts or in making jams and jellies and preserves"],["a small fruit having any of various structures, e.g., simple (grape or blueberry) or aggregate (blackberry or raspberry)"],["United States rock singer (born in 1931)"]],[]],["verb",[["pick or gather berries","We went berrying in the summer"]],[]]],
+  berth: [["noun",[["a job in an organization","he occupied a post in the treasury"],["a place where a craft can be made fast"],["a bed on a ship or train; usually in tiers"]],["position","post","office","spot","billet"]],["verb",[["provide with a berth"],["secure in or as if in a berth or dock","tie up the boat"],["come into or dock at a wharf","the big ship wharfed in the evening"]],["moor","tie up","wharf"]]],
+  beset: [["verb",[["annoy continually or chronically","He is known to harry his staff when he is overworked"],["assail or attack on all sides: \"The zebra was beset by leopards\""],["decorate or cover lavishly (as with gems)"]],["harass","hassle","harry","chivy","chivvy"]]],
+  betel: [["noun",[["a leaf of a vine from the betel pepper"],["Asian pepper plant whose leaves are chewed with betel nut (seed of the betel palm) by southeast Asians"]],["betel leaf","betel pepper"]]],
+  bevel: [["verb",[["cut a bevel on; shape to a bevel","bevel the surface"]],["chamfer"]],["noun",[["two surfaces meeting at an angle different from 90 degrees"],["a hand tool consisting of two rules that are hinged together so you can draw or measure angles of any size"]],["cant","chamfer","bevel square"]]],
+  bezel: [["noun",[["a sloping edge on a cutting tool"]],[]]],
+  bible: [["noun",[["a book regarded as authoritative in its field"],["the sacred writings of the Christian religions","he went to carry the Word to the heathen"]],[]]],
+  biddy: [["noun",[["adult female chicken"],["young bird especially of domestic fowl"]],["hen","chick"]]],
+  bigot: [["noun",[["a prejudiced person who is intolerant of any opinions differing from his own"]],[]]],
+  bilge: [["noun",[["water accumulated in the bilge of a ship"],["where the sides of the vessel curve in to form the bottom"]],["bilge water"]],["verb",[["cause to leak","the collision bilged the vessel"],["take in water at the bilge","the tanker bilged"]],["take in water"]]],
+  billy: [["noun",[["a short stout club used primarily by policemen"],["male goat"]],["truncheon","nightstick","baton","billystick","billy club"]]],
+  binge: [["noun",[["any act of immoderate indulgence","an orgy of shopping"],["an occasion for excessive eating or drinking","they went on a bust that lasted three days"]],["orgy","splurge","bust","tear","bout"]],["verb",[["overeat or eat immodestly; make a pig of oneself","She stuffed herself at the dinner"]],["gorge","ingurgitate","overindulge","glut","englut"]]],
+  bingo: [["noun",[["a game in which numbered balls are drawn at random and players cover the corresponding numbers on their cards"]],["lotto","beano","keno"]]],
+  biome: [["noun",[["a major biotic community characterized by the dominant forms of plant life and the prevailing climate"]],[]]],
+  birch: [["noun",[["hard close-grained wood of any of various birch trees; used especially in furniture and interior finishes and plywood"],["any betulaceous tree or shrub of the genus Betula having a thin peeling bark"],["a switch consisting of a twig or a bundle of twigs from a birch tree; used to hit people as punishment","my father never spared the birch"]],["birch tree","birch rod"]],["verb",[["whip with a birch twig"]],[]],["adjective",[["consisting of or made of wood of the birch tree"]],["birchen","birken"]]],
+  birth: [["noun",[["the time when something begins (especially life)","they divorced after the birth of the child"],["the event of being born","they celebrated the birth of their first child"],["the process of giving birth"]],["nativity","nascency","nascence","parturition","giving birth"]],["verb",[["cause to be born","My wife had twins yesterday!"]],["give birth","deliver","bear","have"]]],
+  bison: [["noun",[["any of several large humped bovids having shaggy manes and large heads and short horns"]],[]]],
+  bitty: [["adjective",[["(used informally) very small","a wee tot"]],["bittie","teensy","teentsy","teeny","wee"]]],
+  black: [["adjective",[["being of the achromatic color of maximum darkness; having little or no hue owing to absorption of almost all incident light","black leather jackets"],["of or belonging to a racial group especially of sub-Saharan African origin","a great people--a black people--...injected new meaning and dignity into the veins of civilization"],["marked by anger or resentment or hostility","black looks"]],[]],["noun",[["the quality or state of the achromatic color of least lightness (bearing the least resemblance to white)"],["total absence of light","they fumbled around in total darkness"],["(board games) the darker pieces"]],["blackness","inkiness","total darkness","lightlessness","pitch blackness"]],["verb",[["make or become black","The smoke blackened the ceiling"]],["blacken","melanize","melanise"]]],
+  blade: [["noun",[["especially a leaf of grass or the broad portion of a leaf as distinct from the petiole"],["a dashing young man","gay young blades bragged of their amorous adventures"],["something long and thin resembling a blade of grass","a blade of lint on his suit"]],["leaf blade"]]],
+  blame: [["verb",[["put or pin the blame on"],["harass with constant criticism","Don't always pick on your little brother"],["attribute responsibility to","We blamed the accident on her"]],["fault","find fault","pick","charge"]],["noun",[["an accusation that you are responsible for some lapse or misdeed","his incrimination was based on my testimony"],["a reproach for some lapse or misdeed","he took the blame for it"]],["incrimination","inculpation","rap"]],["adjective",[["expletives used informally as intensifiers","he's a blasted idiot"]],["blasted","blamed","blessed","damn","damned"]]],
+  bland: [["adjective",[["lacking taste or flavor or tang","a bland diet"],["lacking stimulating characteristics; uninteresting","a bland little drama"],["smoothly agreeable and courteous with a degree of sophistication","he was too politic to quarrel with so important a personage"]],["flat","flavorless","flavourless","insipid","savorless"]]],
+  blank: [["adjective",[["(of a surface) not written or printed on","blank pages"],["without comprehension","When I called her name, she gave me a blank look, as though she didn't know me"],["not charged with a bullet","a blank cartridge"]],["clean","white"]],["noun",[["a blank character used to separate successive words in writing or printing","he said the space is the most important character in the alphabet"],["a blank gap or missing part"],["a piece of material ready to be made into something"]],["space","lacuna"]],["verb",[["keep the opposing (baseball) team from winning"]],[]]],
+  blare: [["noun",[["a loud harsh or strident noise"]],["blaring","cacophony","clamor","din"]],["verb",[["make a strident sound","She tended to blast when speaking into a microphone"],["make a loud noise","The horns of the taxis blared"]],["blast","honk","beep","claxon","toot"]]],
+  blast: [["verb",[["make a strident sound","She tended to blast when speaking into a microphone"],["hit hard","He smashed a 3-run homer"],["use explosives on","The enemy has been shelling us all day"]],["blare","smash","nail","boom","shell"]],["noun",[["a very long fly ball"],["a sudden very loud noise"],["a strong current of air","the tree was bent almost double by the gust"]],["bang","clap","eruption","bam","gust"]]],
+  blaze: [["noun",[["a strong flame that burns brightly","the blaze spread rapidly"],["a cause of difficulty and suffering","war is hell"],["noisy and unrestrained mischief","raising blazes"]],["blazing","hell"]],["verb",[["shine brightly and intensively","Meteors blazed across the atmosphere"],["shoot rapidly and repeatedly","He blazed away at the men"],["burn brightly and intensely","The summer sun alone can cause a pine to blaze"]],["blaze away"]]],
+  bleak: [["adjective",[["offering little or no hope","the future looked black"],["providing no shelter or sustenance","bare rocky hills"],["unpleasantly cold and damp","bleak winds of the North Atlantic"]],["black","dim","bare","barren","desolate"]]],
+  bleat: [["verb",[["talk whiningly"],["cry plaintively","The lambs were bleating"]],["blate","blat","baa"]],["noun",[["the sound of sheep or goats (or any sound resembling this)"]],[]]],
+  bleed: [["verb",[["lose blood from one's body"],["draw blood","In the old days, doctors routinely bled patients as part of the treatment"],["get or extort (money or other possessions) from someone","They bled me dry--I have nothing left!"]],["shed blood","hemorrhage","leech","phlebotomize","phlebotomise"]]],
+  bleep: [["noun",[["a short high tone produced as a signal or warning"]],["beep"]],["verb",[["emit a single short high-pitched signal","The computer bleeped away"]],[]]],
+  blend: [["verb",[["combine into one","blend the nuts and raisins together"],["blend or harmonize","This flavor will blend with those in your dish"],["mix together different elements","The colors blend well"]],["intermix","immingle","intermingle","go","blend in"]],["noun",[["an occurrence of thorough mixing"],["a new word formed by joining two others and combining their meanings","`smog' is a blend of `smoke' and `fog'"],["the act of blending components together thoroughly"]],["portmanteau word","portmanteau","blending"]]],
+  bless: [["verb",[["give a benediction to","The dying man blessed his son"],["confer prosperity or happiness on"],["make the sign of the cross over someone in order to call on God for protection; consecrate"]],["sign"]]],
+  blimp: [["noun",[["a small nonrigid airship used for observation or as a barrage balloon"],["any elderly pompous reactionary ultranationalistic person (after the cartoon character created by Sir David Low)"]],["sausage balloon","sausage"]]],
+  blind: [["noun",[["people who have severe visual impairments, considered as a group","he spent hours reading to the blind"],["a hiding place sometimes used by hunters (especially duck hunters)","he waited impatiently in the blind"],["a protective covering that keeps things out or hinders sight","they had just moved in and had not put up blinds yet"]],["screen"]],["adjective",[["unable to see","a person is blind to the extent that he must devise alternative techniques to do efficiently those things he would do with sight if he had normal vision"],["unable or unwilling to perceive or understand","blind to a lover's faults"],["not based on reason or evidence","blind hatred"]],["unsighted","unreasoning"]],["verb",[["render unable to see"],["make blind by putting the eyes out","The criminals were punished and blinded"],["make dim by comparison or conceal"]],["dim"]]],
+  blink: [["verb",[["briefly shut the eyes","The TV announcer never seems to blink"],["keep back by blinking","blink away tears"],["gleam or glow intermittently","The lights were flashing"]],["wink","nictitate","nictate","blink away","flash"]],["noun",[["a reflex that closes and opens the eyes rapidly"]],["eye blink","blinking","wink","winking","nictitation"]]],
+  bliss: [["noun",[["a state of extreme happiness"]],["blissfulness","cloud nine","seventh heaven","walking on air"]]],
+  blitz: [["noun",[["(American football) defensive players try to break through the offensive line"],["a swift and violent military offensive with intensive aerial bombardment"]],["safety blitz","linebacker blitzing","blitzkrieg"]],["verb",[["attack suddenly and without warning","Hitler blitzed Poland"]],[]]],
+  bloat: [["noun",[["swelling of the rumen or intestinal tract of domestic animals caused by excessive gas"]],[]],["verb",[["become bloated or swollen or puff up","The dead man's stomach was bloated"],["make bloated or swollen","Hunger bloated the child's belly"]],[]]],
+  block: [["noun",[["a solid piece of something (usually having flat rectangular sides)","the pyramids were built with large stone blocks"],["a rectangular area in a city surrounded by streets and usually containing several buildings","he lives in the next block"],["a three-dimensional shape with six square or rectangular sides"]],["city block","cube"]],["verb",[["render unsuitable for passage","block the way"],["hinder or prevent the progress or accomplishment of","His brother blocked him at every turn"],["stop from happening or developing","Block his election"]],["barricade","blockade","stop","block off","block up"]]],
+  bloke: [["noun",[["a boy or man","that chap is your host"]],["chap","fellow","feller","fella","lad"]]],
+  blond: [["adjective",[["being or having light colored skin and hair and usually blue or grey eyes","blond Scandinavians"]],["blonde","light-haired"]],["noun",[["a person with fair skin and hair"],["a light grayish yellow to near white"]],["blonde"]]],
+  blood: [["noun",[["the fluid (red in vertebrates) that is pumped through the body by the heart and contains plasma, blood cells, and platelets","blood carries oxygen and nutrients to the tissues and carries away waste products"],["temperament or disposition","a person of hot blood"],["a dissolute man in fashionable society"]],["rake","rakehell","profligate","rip","roue"]],["verb",[["smear with blood, as in a hunting initiation rite, where the face of a person is smeared with the blood of the kill"]],[]]],
+  bloom: [["noun",[["the organic process of bearing flowers","you will stop all bloom if you let the flowers go to seed"],["reproductive organ of angiosperm plants especially one having showy or colorful parts"],["the best time of youth"]],["blooming","flower","blossom","bloom of youth","salad days"]],["verb",[["produce or yield flowers","The cherry tree bloomed"]],["blossom","flower"]]],
+  blown: [["adjective",[["being moved or acted upon by moving air or vapor","blown clouds of dust choked the riders"],["breathing laboriously or convulsively"]],["pursy","short-winded","winded"]]],
+  bluff: [["noun",[["a high steep bank (usually formed by river erosion)"],["pretense that your position is stronger than it really is","his bluff succeeded in getting him accepted"],["the act of bluffing in poker; deception by a false show of confidence in the strength of your cards"]],["four flush"]],["verb",[["deceive an opponent by a bold bet on an inferior hand with the result that the opponent withdraws a winning hand"],["frighten someone by pretending to be stronger than one really is"]],["bluff out"]],["adjective",[["very steep; having a prominent and almost vertical front","a bluff headland"],["bluntly direct and outspoken but good-natured","a bluff but pleasant manner"]],["bold","sheer"]]],
+  blunt: [["adjective",[["having a broad or rounded end","thick marks made by a blunt pencil"],["used of a knife or other blade; not sharp","a blunt instrument"],["characterized by directness in manner or speech; without subtlety or evasion","blunt talking and straight shooting"]],["candid","forthright","frank","free-spoken","outspoken"]],["verb",[["make less intense","blunted emotions"],["make numb or insensitive","The shock numbed her senses"],["make dull or blunt","Too much cutting dulls the knife's edge"]],["numb","benumb","dull"]]],
+  blurb: [["noun",[["a promotional statement (as found on the dust jackets of books)","the author got all his friends to write blurbs for his book"]],["endorsement","indorsement"]]],
+  blurt: [["verb",[["utter impulsively","He blurted out the secret"]],["blurt out","blunder out","blunder","ejaculate"]]],
+  blush: [["verb",[["turn red, as if in embarrassment or shame","The girl blushed when a young man whistled as she walked by"],["become rosy or reddish","her cheeks blushed in the cold winter air"]],["crimson","flush","redden"]],["noun",[["a rosy color (especially in the cheeks) taken as a sign of good health"],["sudden reddening of the face (as from embarrassment or guilt or shame or modesty)"]],["bloom","flush","rosiness"]]],
+  board: [["noun",[["a committee having supervisory powers","the board has seven members"],["a stout length of sawn timber; made in a wide variety of sizes and used for many purposes"],["a flat piece of material designed for a special purpose","he nailed boards across the windows"]],["plank"]],["verb",[["get on board of (trains, buses, ships, aircraft, etc.)"],["live and take one's meals at or in","she rooms in an old boarding house"],["lodge and take meals (at)"]],["get on","room"]]],
+  boast: [["verb",[["show off"],["wear or display in an ostentatious or proud manner","she was sporting a new hat"]],["tout","swash","shoot a line","brag","gas"]],["noun",[["speaking of yourself in superlatives"]],["boasting","self-praise","jactitation"]]],
+  bobby: [["noun",[["an informal term for a British policeman"]],[]]],
+  boney: [["adjective",[["having bones especially many or prominent bones","a bony shad fillet"],["being very thin","a child with skinny freckled legs"]],["bony","scraggy","scraggly","scrawny","skinny"]]],
+  bongo: [["noun",[["a small drum; played with the hands"],["large forest antelope of central Africa having a reddish-brown coat with white stripes and spiral horns"]],["bongo drum"]]],
+  bonus: [["noun",[["anything that tends to arouse","his approval was an added fillip"],["an additional payment (or other remuneration) to employees as a means of increasing output"]],["fillip","incentive"]]],
+  booby: [["noun",[["an ignorant or foolish person"],["small tropical gannet having a bright bill or bright feet or both"]],["dumbbell","dummy","dope","boob","pinhead"]]],
+  boost: [["verb",[["increase","The landlord hiked up the rents"],["give a boost to; be beneficial to","The tax cut will boost the economy"],["contribute to the progress or growth of","I am promoting the use of computers in the classroom"]],["hike","hike up","promote","advance","further"]],["noun",[["the act of giving hope or support to someone"],["an increase in cost","they asked for a 10% rise in rates"],["the act of giving a push","he gave her a boost over the fence"]],["encouragement","rise","hike","cost increase"]]],
+  booth: [["noun",[["a table (in a restaurant or bar) surrounded by two high-backed benches"],["small area set off by walls for special use"],["a small shop at a fair; for selling goods or entertainment"]],["cubicle","stall","kiosk"]]],
+  booty: [["noun",[["goods or money obtained illegally"]],["loot","pillage","plunder","prize","swag"]]],
+  booze: [["noun",[["an alcoholic beverage that is distilled rather than fermented"]],["liquor","spirits","hard drink","hard liquor","strong drink"]],["verb",[["consume alcohol","We were up drinking all night"]],["hit the bottle","drink","fuddle"]]],
+  boozy: [["adjective",[["given to or marked by the consumption of alcohol","a bibulous fellow"]],["bibulous","drunken","sottish"]]],
+  borax: [["noun",[["an ore of boron consisting of hydrated sodium borate; used as a flux or cleansing agent"]],[]]],
+  bosom: [["noun",[["the chest considered as the place where secret thoughts are kept","his bosom was bursting with the secret"],["a person's breast or chest"],["cloth that covers the chest or breasts"]],[]],["verb",[["hide in one's bosom","She bosomed his letters"],["hold (someone) tightly in your arms, usually with fondness","Hug me, please"]],["embrace","hug","squeeze"]]],
+  bossy: [["adjective",[["offensively self-assured or given to exercising usually unwarranted power","an autocratic person"]],["autocratic","dominating","high-and-mighty","magisterial","peremptory"]]],
+  botch: [["noun",[["an embarrassing mistake"]],["blunder","blooper","bloomer","bungle","pratfall"]],["verb",[["make a mess of, destroy or ruin","I botched the dinner and we had to eat out"]],["bodge","bumble","fumble","botch up","muff"]]],
+  bough: [["noun",[["any of the larger branches of a tree"]],[]]],
+  boule: [["noun",[["an inlaid furniture decoration; tortoiseshell and yellow and white metal form scrolls in cabinetwork"]],["boulle","buhl"]]],
+  bound: [["adjective",[["confined by bonds","bound and gagged hostages"],["held with another element, substance or material in chemical or physical union"],["secured with a cover or binding; often used as a combining form","bound volumes"]],[]],["verb",[["move forward by leaps and bounds","The horse bounded across the meadow"],["form the boundary of; be contiguous to"],["place limits on (extent or amount or access)","restrict the use of this parking lot"]],["jump","leap","spring","border","restrict"]],["noun",[["a line determining the limits of an area"],["the line or plane indicating the limit or extent of something"],["the greatest possible degree of something","what he did was beyond the bounds of acceptable behavior"]],["boundary","edge","bounds","limit"]]],
+  bowel: [["noun",[["the part of the alimentary canal between the stomach and the anus"]],["intestine","gut"]]],
+  boxer: [["noun",[["someone who fights with his fists for sport"],["a workman employed to pack things into containers"],["a breed of stocky medium-sized short-haired dog with a brindled coat and square-jawed muzzle developed in Germany"]],["pugilist","packer","bagger"]]],
+  brace: [["verb",[["prepare (oneself) for something unpleasant or difficult"],["support or hold steady and make steadfast, with or as if with a brace","brace your elbows while working on the potter's wheel"],["support by bracing"]],["poise","steady","stabilize","stabilise"]],["noun",[["a support that steadies or strengthens something else","he wore a brace on his knee"],["two items of the same kind"],["a set of two similar things considered as a unit"]],["couple","pair","twosome","twain","span"]]],
+  braid: [["noun",[["a hairdo formed by braiding or twisting the hair"],["trimming used to decorate clothes or curtains"]],["plait","tress","twist","gold braid","braiding"]],["verb",[["make by braiding or interlacing","lace a tablecloth"],["decorate with braids or ribbons","braid a collar"],["form or weave into a braid or braids","braid hair"]],["lace","plait","pleach"]]],
+  brain: [["noun",[["that part of the central nervous system that includes all the higher nervous centers; enclosed within the skull; continuous with the spinal cord"],["mental ability","he's got plenty of brains but no common sense"],["that which is responsible for one's thoughts, feelings, and conscious brain functions; the seat of the faculty of reason","his mind wandered"]],["encephalon","brainpower","learning ability","mental capacity","mentality"]],["verb",[["hit on the head"],["kill by smashing someone's skull"]],[]]],
+  brake: [["noun",[["a restraint used to slow or stop a vehicle"],["any of various ferns of the genus Pteris having pinnately compound leaves and including several popular houseplants"],["large coarse fern often several feet high; essentially weed ferns; cosmopolitan"]],["bracken","pasture brake"]],["verb",[["stop travelling by applying a brake","We had to brake suddenly when a chicken crossed the road"],["cause to stop by applying the brakes","brake the car before you go into a curve"]],[]]],
+  brand: [["noun",[["a name given to a product or service"],["a recognizable kind","there's a new brand of hero in the movies now"],["identification mark on skin, made by burning"]],["trade name","brand name","marque","make"]],["verb",[["burn with a branding iron to indicate ownership; of animals"],["to accuse or condemn or openly or formally or brand as disgraceful","He denounced the government action"],["mark with a brand or trademark","when this product is not branded it sells for a lower price"]],["stigmatize","stigmatise","denounce","mark","trademark"]]],
+  brash: [["adjective",[["offensively bold","a brash newcomer disputed the age-old rules for admission to the club"]],["cheeky","nervy"]]],
+  brass: [["noun",[["an alloy of copper and zinc"],["a wind instrument that consists of a brass tube (usually of variable length) that is blown by means of a cup-shaped or funnel-shaped mouthpiece"],["the persons (or committees or departments etc.) who make up a body for the purpose of administering something","he claims that the present administration is corrupt"]],["brass instrument","administration","governance","governing body","establishment"]]],
+  brave: [["adjective",[["possessing or displaying courage; able to face and deal with danger or fear without flinching","Familiarity with danger makes a brave man braver but less daring"],["invulnerable to fear or intimidation","audacious explorers"],["brightly colored and showy","girls decked out in brave new dresses"]],["courageous","audacious","dauntless","fearless","hardy"]],["verb",[["face and withstand with courage","She braved the elements"]],["weather","endure","brave out"]],["noun",[["a North American Indian warrior"],["people who are brave","the home of the free and the brave"]],[]]],
+  bravo: [["noun",[["a murderer (especially one who kills a prominent political figure) who kills by a surprise attack and often is hired to do the deed","his assassins were hunted down like animals"],["a cry of approval as from an audience at the end of great performance"]],["assassin","assassinator"]],["verb",[["applaud with shouts of `bravo' or `brava'"]],[]]],
+  brawl: [["noun",[["an uproarious party"],["a noisy fight in a crowd"]],["bash","do","free-for-all"]],["verb",[["to quarrel noisily, angrily or disruptively","The bar keeper threw them out, but they continued to wrangle on down the street"]],["wrangle"]]],
+  brawn: [["noun",[["possessing muscular strength"]],["brawniness","muscle","muscularity","sinew","heftiness"]]],
+  bread: [["noun",[["food made from dough of flour or meal and usually raised with yeast or baking powder and then baked"],["informal terms for money"]],["breadstuff","staff of life","boodle","cabbage","clams"]],["verb",[["cover with bread crumbs","bread the pork chops before frying them"]],[]]],
+  break: [["verb",[["terminate","She interrupted her pregnancy"],["become separated into pieces or fragments","The figurine broke"],["render inoperable or ineffective","You broke the alarm clock when you took it apart!"]],["interrupt","separate","split up","fall apart","come apart"]],["noun",[["some abrupt occurrence that interrupts an ongoing activity","the telephone is an annoying interruption"],["an unexpected piece of good luck","he finally got his big break"],["(geology) a crack in the earth's crust resulting from the displacement of one side with respect to the other","they built it right over a geological fault"]],["interruption","good luck","happy chance","fault","faulting"]]],
+  breed: [["verb",[["call forth"],["copulate with a female, used especially of horses","The horse covers the mare"],["cause to procreate (animals)","She breeds dogs"]],["engender","spawn","cover"]],["noun",[["a special variety of domesticated animals within a species","he experimented on a particular breed of white rats"],["a special type","Google represents a new breed of entrepreneurs"]],["strain","stock"]]],
+  briar: [["noun",[["Eurasian rose with prickly stems and fragrant leaves and bright pink flowers followed by scarlet hips"],["a very prickly woody vine of the eastern United States growing in tangled masses having tough round stems with shiny leathery leaves and small greenish flowers followed by clusters of inedible shiny black berries"],["evergreen treelike Mediterranean shrub having fragrant white flowers in large terminal panicles and hard woody roots used to make tobacco pipes"]],["sweetbrier","sweetbriar","brier","eglantine","bullbrier"]]],
+  bribe: [["noun",[["payment made to a person in a position of trust to corrupt his judgment"]],["payoff"]],["verb",[["make illegal payments to in exchange for favors or influence","This judge can be bought"]],["corrupt","buy","grease one's palms"]]],
+  brick: [["noun",[["rectangular block of clay baked by the sun or in a kiln; used as a building or paving material"],["a good fellow; helpful and trustworthy"]],[]]],
+  bride: [["noun",[["a woman who has recently been married"],["a woman participant in her own marriage ceremony"],["Irish abbess; a patron saint of Ireland (453-523)"]],[]]],
+  brief: [["adjective",[["of short duration or distance","a brief stay in the country"],["concise and succinct","covered the matter in a brief statement"],["(of clothing) very short","an abbreviated swimsuit"]],["abbreviated"]],["noun",[["a document stating the facts and points of law of a client's case"],["a condensed written summary or abstract"]],["legal brief"]],["verb",[["give essential information to someone","The reporters were briefed about the President's plan to invade"]],[]]],
+  brine: [["noun",[["water containing salts","the water in the ocean is all saltwater"],["a strong solution of salt and water used for pickling"]],["seawater","saltwater"]],["verb",[["soak in brine"]],[]]],
+  bring: [["verb",[["take something or somebody with oneself somewhere","Bring me the box from the other room"],["cause to come into a particular state or condition","Long hard years of on the job training had brought them to their competence"],["cause to happen or to occur as a consequence","I cannot work a miracle"]],["convey","take","work","play","wreak"]]],
+  brink: [["noun",[["a region marking a boundary"],["the edge of a steep place"],["the limit beyond which something happens or changes","on the verge of tears"]],["threshold","verge"]]],
+  briny: [["noun",[["any very large body of (salt) water"]],["main"]],["adjective",[["slightly salty (especially from containing a mixture of seawater and fresh water)","a brackish lagoon"]],["brackish"]]],
+  brisk: [["adjective",[["quick and energetic","a brisk walk in the park"],["imparting vitality and energy","the bracing mountain air"],["very active","doing a brisk business"]],["alert","lively","merry","rattling","snappy"]],["verb",[["become brisk","business brisked up"]],["brisk up","brisken"]]],
+  broad: [["adjective",[["having great (or a certain) extent from one side to the other","wide roads"],["broad in scope or content","across-the-board pay increases"],["not detailed or specific","a broad rule"]],["wide","across-the-board","all-embracing","all-encompassing","all-inclusive"]],["noun",[["slang term for a woman","a broad is a woman who can throw a mean punch"]],[]]],
+  broil: [["verb",[["cook under a broiler","broil fish"],["heat by a natural force","The sun broils the valley in the summer"],["be very hot, due to hot weather or exposure to the sun","The town was broiling in the sun"]],["oven broil","bake"]],["noun",[["cooking by direct exposure to radiant heat (as over a fire or under a grill)"]],["broiling","grilling"]]],
+  broke: [["adjective",[["lacking funds","`skint' is a British slang term"]],["bust","skint","stone-broke","stony-broke"]]],
+  brood: [["verb",[["think moodily or anxiously about something"],["hang over, as of something threatening, dark, or menacing","The terrible vision brooded over her all day long"],["be in a huff and display one's displeasure","She is pouting because she didn't get what she wanted"]],["dwell","hover","loom","bulk large","sulk"]],["noun",[["the young of an animal cared for at one time"]],[]]],
+  brook: [["noun",[["a natural stream of water smaller than a river (and often a tributary of a river)","the creek dried up every summer"]],["creek"]],["verb",[["put up with something or somebody unpleasant","I cannot bear his constant criticism"]],["digest","endure","stick out","stomach","bear"]]],
+  broom: [["noun",[["a cleaning implement for sweeping; bundle of straws or twigs attached to a long handle"],["any of various shrubs of the genera Cytisus or Genista or Spartium having long slender branches and racemes of yellow flowers"],["common Old World heath represented by many varieties; low evergreen grown widely in the northern hemisphere"]],["heather","ling"]],["verb",[["sweep with a broom or as if with a broom","Sweep the crumbs off the table"],["finish with a broom"]],["sweep"]]],
+  broth: [["noun",[["liquid in which meat and vegetables are simmered; used as a basis for e.g. soups or sauces","she made gravy with a base of beef stock"],["a thin soup of meat or fish or vegetable stock"]],["stock"]]],
+  brown: [["noun",[["an orange of low brightness and saturation"],["Scottish botanist who first observed the movement of small particles in fluids now known a Brownian motion (1773-1858)"],["abolitionist who was hanged after leading an unsuccessful raid at Harper's Ferry, Virginia (1800-1859)"]],["brownness"]],["verb",[["fry in a pan until it changes color","brown the meat in the pan"],["make brown in color","the draught browned the leaves on the trees in the yard"]],["embrown"]],["adjective",[["of a color similar to that of wood or earth"],["(of skin) deeply suntanned"]],["brownish","chocolate-brown","dark-brown","browned"]]],
+  brunt: [["noun",[["main force of a blow etc","bore the brunt of the attack"]],[]]],
+  brush: [["verb",[["rub with a brush, or as if with a brush","Johnson brushed the hairs from his jacket"],["touch lightly and briefly","He brushed the wall lightly"],["clean with a brush","She brushed the suit before hanging it back into the closet"]],[]],["noun",[["a dense growth of bushes"],["an implement that has hairs or bristles firmly set into a handle"],["momentary contact"]],["brushwood","coppice","copse","thicket","light touch"]]],
+  brute: [["noun",[["a cruelly rapacious person"],["a living organism characterized by voluntary movement"]],["beast","wolf","savage","wildcat","animal"]],["adjective",[["resembling a beast; showing lack of human sensibility","beastly desires"]],["beastly","bestial","brutish","brutal"]]],
+  buddy: [["noun",[["a close friend who accompanies his buddies in their activities"]],["brother","chum","crony","pal","sidekick"]]],
+  budge: [["verb",[["move very slightly","He shifted in his seat"]],["stir","shift","agitate"]],["noun",[["United States tennis player who in 1938 was the first to win the Australian and French and English and United States singles championship in the same year (1915-2000)"]],[]]],
+  buggy: [["noun",[["a small lightweight carriage; drawn by a single horse"]],["roadster"]],["adjective",[["informal or slang terms for mentally irregular","it used to drive my husband balmy"],["infested with bugs"]],["balmy","barmy","bats","batty","bonkers"]]],
+  bugle: [["noun",[["a brass instrument without valves; used for military calls and fanfares"],["any of various low-growing annual or perennial evergreen herbs native to Eurasia; used for ground cover"],["a tubular glass or plastic bead sewn onto clothing for decoration"]],["bugleweed"]],["verb",[["play on a bugle"]],[]]],
+  build: [["verb",[["make by combining materials and parts","this little pig made his house out of straw"],["form or accumulate steadily","Resistance to the manager's plan built up quickly"],["build or establish something abstract","build a reputation"]],["construct","make","build up","work up","progress"]],["noun",[["constitution of the human body"],["alternative names for the body of a human being","Leonardo studied the human body"]],["physique","body-build","habitus","human body","physical body"]]],
+  built: [["adjective",[["(used of soaps or cleaning agents) having a substance (an abrasive or filler) added to increase effectiveness","the built liquid detergents"]],["reinforced"]]],
+  bulge: [["noun",[["something that bulges out or is protuberant or projects from its surroundings","the gun in his pocket made an obvious bulge"]],["bump","hump","swelling","gibbosity","gibbousness"]],["verb",[["swell or protrude outwards","His stomach bulged after the huge meal"],["bulge out; form a bulge outward, or be so full as to appear to bulge"],["bulge outward","His eyes popped"]],["pouch","protrude","bag","start","pop"]]],
+  bulky: [["adjective",[["of large size for its weight"]],[]]],
+  bully: [["noun",[["a cruel and brutal fellow"],["a hired thug"]],["tough","hooligan","ruffian","roughneck","rowdy"]],["adjective",[["very good","he did a bully job"]],["bang-up","corking","cracking","dandy","great"]],["verb",[["be bossy towards","Her big brother always bullied her when she was young"],["discourage or frighten with threats or a domineering manner; intimidate"]],["strong-arm","browbeat","bullyrag","ballyrag","boss around"]]],
+  bunch: [["noun",[["a grouping of a number of similar things","a bunch of trees"],["an informal body of friends","he still hangs out with the same crowd"],["any collection in its entirety","she bought the whole caboodle"]],["clump","cluster","clustering","crowd","crew"]],["verb",[["form into a bunch","The frightened children bunched together in the corner of the classroom"],["gather or cause to gather into a cluster","She bunched her fingers into a fist"]],["bunch together","bunch up","bundle","cluster","clump"]]],
+  bunny: [["noun",[["a young waitress in a nightclub whose costume includes the tail and ears of a rabbit"],["(usually informal) especially a young rabbit"]],["bunny girl","bunny rabbit"]]],
+  burly: [["adjective",[["muscular and heavily built","a beefy wrestler"]],["beefy","husky","strapping","buirdly"]]],
+  burnt: [["adjective",[["ruined by overcooking","she served us underdone bacon and burnt biscuits"],["treated by heating to a high temperature but below the melting or fusing point","burnt sienna"],["destroyed or badly damaged by fire","a row of burned houses"]],["burned","burned-over","burned-out","burnt-out"]]],
+  burst: [["verb",[["come open suddenly and violently, as if from internal pressure","The bubble burst"],["force out or release suddenly and often violently something pent up","break into tears"],["burst outward, usually with noise","The champagne bottle exploded"]],["split","break open","break","erupt","explode"]],["noun",[["the act of exploding or bursting","the explosion of the firecrackers awoke the children"],["rapid simultaneous discharge of firearms","our fusillade from the left flank caught them by surprise"],["a sudden flurry of activity (often for no obvious reason)","a burst of applause"]],["explosion","fusillade","salvo","volley","fit"]]],
+  bushy: [["adjective",[["used of hair; thick and poorly groomed","bushy locks"],["resembling a bush in being thickly branched and spreading"]],["shaggy","shaggy-haired","shaggy-coated"]]],
+  butch: [["noun",[["(slang) offensive term for a lesbian who is noticeably masculine"],["a closely cropped haircut; usually for men or boys"]],["dike","dyke","crew cut","flattop"]],["adjective",[["used of men; markedly masculine in appearance or manner"],["(of male or female homosexuals) characterized by stereotypically male traits or appearance"]],["macho"]]],
+  butte: [["noun",[["a hill that rises abruptly from the surrounding region; has a flat top and sloping sides"],["a town in southwestern Montana; center for mining copper"]],[]]],
+  buxom: [["adjective",[["(of a woman's body) having a large bosom and pleasing curves","Hollywood seems full of curvaceous blondes"],["(of a female body) healthily plump and vigorous","a generation ago...buxom actresses were popular"]],["bosomy","busty","curvaceous","curvy","full-bosomed"]]],
+  buyer: [["noun",[["a person who buys"]],["purchaser","emptor","vendee"]]],
+  bylaw: [["noun",[["a rule adopted by an organization in order to regulate its own affairs and the behavior of its members"]],[]]],
+  cabal: [["noun",[["a clique (often secret) that seeks power usually through intrigue"],["a plot to carry out some harmful or illegal act (especially a political plot)"]],["faction","junto","camarilla","conspiracy"]],["verb",[["engage in plotting or enter into a conspiracy, swear together","They conspired to overthrow the government"]],["conspire","complot","conjure","machinate"]]],
+  cabby: [["noun",[["someone who drives a taxi for a living"]],["taxidriver","taximan","cabdriver","cabman","hack driver"]]],
+  cabin: [["noun",[["small room on a ship or boat where people sleep"],["a small house built of wood; usually in a wooded area"],["the enclosed compartment of an aircraft or spacecraft where passengers are carried"]],[]],["verb",[["confine to a small space, such as a cabin"]],[]]],
+  cable: [["noun",[["a telegram sent abroad"],["a conductor for transmitting electrical or optical signals or electric power"],["a very strong thick rope made of twisted hemp or steel wire"]],["cablegram","overseas telegram","line","transmission line"]],["verb",[["send cables, wires, or telegrams"],["fasten with a cable","cable trees"]],["telegraph","wire"]]],
+  cacao: [["noun",[["tropical American tree producing cacao beans"]],["cacao tree","chocolate tree"]]],
+  cache: [["noun",[["a hidden storage space (for money or provisions or weapons)"],["a secret store of valuables or money"],["(computer science) RAM memory that is set aside as a specialized buffer storage that is continually updated; used to optimize data transfers between system elements with different characteristics"]],["hoard","stash","memory cache"]],["verb",[["save up as for future use"]],["hoard","stash","lay away","hive up","squirrel away"]]],
+  caddy: [["noun",[["a can for storing tea"]],["tea caddy"]],["verb",[["act as a caddie and carry clubs for a player"]],["caddie"]]],
+  cadet: [["noun",[["a military trainee (as at a military academy)"]],["plebe"]]],
+  cagey: [["adjective",[["showing self-interest and shrewdness in dealing with others","a cagey lawyer"],["characterized by great caution and wariness","a cagey avoidance of a definite answer"]],["cagy","canny","clever","chary"]]],
+  cairn: [["noun",[["a mound of stones piled up as a memorial or to mark a boundary or path"],["small rough-haired breed of terrier from Scotland"]],["cairn terrier"]]],
+  camel: [["noun",[["cud-chewing mammal used as a draft or saddle animal in desert regions"]],[]]],
+  cameo: [["noun",[["engraving or carving in low relief on a stone (as in a brooch or ring)"]],[]]],
+  canal: [["noun",[["(astronomy) an indistinct surface feature of Mars once thought to be a system of channels; they are now believed to be an optical illusion"],["a bodily passage or tube lined with epithelial cells and conveying a secretion or other substance","the tear duct was obstructed"],["long and narrow strip of water made for boats or for irrigation"]],["duct","epithelial duct","channel"]],["verb",[["provide (a city) with a canal"]],["canalize","canalise"]]],
+  candy: [["noun",[["a rich sweet made of flavored sugar and often combined with fruit or nuts"]],["confect"]],["verb",[["coat with something sweet, such as a hard sugar glaze"]],["sugarcoat","glaze"]]],
+  canny: [["adjective",[["showing self-interest and shrewdness in dealing with others","a cagey lawyer"]],["cagey","cagy","clever"]]],
+  canoe: [["noun",[["small and light boat; pointed at both ends; propelled with a paddle"]],[]],["verb",[["travel by canoe","canoe along the canal"]],[]]],
+  canon: [["noun",[["a rule or especially body of rules or principles generally established as valid and fundamental in a field of art or philosophy","the neoclassical canon"],["a priest who is a member of a cathedral chapter"],["a ravine formed by a river in an area with little rainfall"]],["canyon"]]],
+  caper: [["verb",[["jump about playfully"]],[]],["noun",[["any of numerous plants of the genus Capparis"],["pickled flower buds used as a pungent relish in various dishes and sauces"],["a crime (especially a robbery)","the gang pulled off a bank job in St. Louis"]],["job"]]],
+  caput: [["noun",[["a headlike protuberance on an organ or structure","the caput humeri is the head of the humerus which fits into a cavity in the scapula"],["the upper part of the human body or the front part of the body in animals; contains the face and brains","he stuck his head out the window"]],["head"]]],
+  carat: [["noun",[["a unit of weight for precious stones = 200 mg"],["the unit of measurement for the proportion of gold in an alloy; 18-karat gold is 75% gold; 24-karat gold is pure gold"]],["karat","kt"]]],
+  cargo: [["noun",[["goods carried by a large vehicle"]],["lading","freight","load","loading","payload"]]],
+  carol: [["noun",[["joyful religious song celebrating the birth of Christ"],["a joyful song (usually celebrating the birth of Christ)"]],[]],["verb",[["sing carols","They went caroling on Christmas Day"]],[]]],
+  carry: [["verb",[["move while supporting, either in a vehicle or in one's hands or on one's body","You must carry your camping gear"],["have with oneself; have on one's person","She always takes an umbrella"],["transmit or serve as the medium for transmission","Sound carries well over water"]],["transport","pack","take","impart","conduct"]],["noun",[["the act of carrying something"]],[]]],
+  carve: [["verb",[["form by carving","Carve a flower from the ice"],["engrave or cut by chipping away at a surface","carve one's name into the bark"],["cut to pieces","Father carved the ham"]],["chip at","cut up"]]],
+  caste: [["noun",[["social status or position conferred by a system based on class","lose caste by doing work beneath one's station"],["(Hinduism) a hereditary social class among Hindus; stratified according to ritual purity"],["a social class separated from others by distinctions of hereditary rank or profession or wealth"]],[]]],
+  catch: [["verb",[["discover or come upon accidentally, suddenly, or unexpectedly; catch somebody doing something or in a certain state","She caught her son eating candy"],["perceive with the senses quickly, suddenly, or momentarily","I caught the aroma of coffee"],["reach with a blow or hit in a particular spot","the rock caught her in the back of the head"]],["pick up","get"]],["noun",[["a drawback or difficulty that is not readily evident","it sounds good but what's the catch?"],["the quantity that was caught","the catch was only 10 fish"],["a person regarded as a good matrimonial prospect"]],["gimmick","haul","match"]]],
+  cater: [["verb",[["give what is desired or needed, especially support, food or sustenance","The hostess provided lunch for all the guests"],["supply food ready to eat; for parties and banquets"]],["provide","supply","ply"]]],
+  catty: [["noun",[["any of various units of weight used in southeastern Asia (especially a Chinese measure equal to 500 grams)"]],["cattie"]],["adjective",[["marked by or arising from malice","a catty remark"]],["bitchy","cattish"]]],
+  caulk: [["noun",[["a waterproof filler and sealant that is used in building and repair to make watertight"]],["caulking"]],["verb",[["seal with caulking","caulk the window"]],["calk"]]],
+  cause: [["noun",[["events that provide the generative force that is the origin of something","they are trying to determine the cause of the crash"],["a justification for something existing or happening","he had no cause to complain"],["a series of actions advancing a principle or tending toward a particular end","he supported populist campaigns"]],["reason","grounds","campaign","crusade","drive"]],["verb",[["give rise to; cause to happen or occur, not always intentionally","cause a commotion"],["cause to do; cause to act in a specified manner","The ads induced me to buy a VCR"]],["do","make","induce","stimulate","have"]]],
+  cavil: [["noun",[["an evasion of the point of an argument by raising irrelevant distinctions or objections"]],["quibble","quiddity"]],["verb",[["raise trivial objections"]],["carp","chicane"]]],
+  cease: [["verb",[["put an end to a state or an activity","Quit teasing your little brother"],["have an end, in a temporal, spatial, or quantitative sense; either spatial or metaphorical","the bronchioles terminate in a capillary bed"]],["discontinue","stop","give up","quit","lay off"]],["noun",[["(`cease' is a noun only in the phrase `without cease') end"]],[]]],
+  cedar: [["noun",[["any of numerous trees of the family Cupressaceae that resemble cedars"],["durable aromatic wood of any of numerous cedar trees; especially wood of the red cedar often used for cedar chests"],["any cedar of the genus Cedrus"]],["cedar tree","cedarwood","true cedar"]]],
+  cello: [["noun",[["a large stringed instrument; seated player holds it upright while playing"]],["violoncello"]]],
+  chafe: [["verb",[["become or make sore by or as if by rubbing"],["feel extreme irritation or anger","He was chafing at her suggestion that he stay at home while she went on a vacation"],["cause annoyance in; disturb, especially by minor irritations","Mosquitoes buzzing in my ear really bothers me"]],["gall","fret","annoy","rag","get to"]],["noun",[["soreness and warmth caused by friction","he had a nasty chafe on his knee"],["anger produced by some annoying irritation"]],["annoyance","vexation"]]],
+  chaff: [["verb",[["be silly or tease one another","After we relaxed, we just kidded around"]],["kid","jolly","josh","banter"]],["noun",[["material consisting of seed coverings and small pieces of stem or leaves that have been separated from the seeds"],["foil in thin strips; ejected into the air as a radar countermeasure"]],["husk","shuck","stalk","straw","stubble"]]],
+  chain: [["noun",[["a series of things depending on each other as if linked together","the chain of command"],["(chemistry) a series of linked atoms (generally in an organic molecule)"],["a series of (usually metal) rings or links fitted into one another to make a flexible ligament"]],["concatenation","chemical chain"]],["verb",[["connect or arrange into a chain by linking"],["fasten or secure with chains","Chain the chairs together"]],[]]],
+  chair: [["noun",[["a seat for one person, with a support for the back","he put his coat over the back of the chair and sat down"],["the position of professor","he was awarded an endowed chair in economics"],["the officer who presides at the meetings of an organization","address your remarks to the chairperson"]],["professorship","president","chairman","chairwoman","chairperson"]],["verb",[["act or preside as chair, as of an academic department in a university","She chaired the department for many years"],["preside over","John moderated the discussion"]],["chairman","moderate","lead"]]],
+  chalk: [["noun",[["a soft whitish calcite"],["a pure flat white with little reflectance"],["an amphetamine derivative (trade name Methedrine) used in the form of a crystalline hydrochloride; used as a stimulant to the nervous system and as an appetite suppressant"]],["methamphetamine","methamphetamine hydrochloride","meth","deoxyephedrine","chicken feed"]],["verb",[["write, draw, or trace with chalk"]],[]]],
+  champ: [["noun",[["someone who has won first place in a competition"]],["champion","title-holder"]],["verb",[["chafe at the bit, like horses"],["chew noisily","The boy chomped his sandwich"]],["chomp"]]],
+  chant: [["verb",[["recite with musical intonation; recite as a chant or a psalm","The rabbi chanted a prayer"],["utter monotonously and repetitively and rhythmically","The students chanted the same slogan over and over again"]],["intone","intonate","cantillate","tone"]],["noun",[["a repetitive song in which as many syllables as necessary are assigned to a single tone"]],[]]],
+  chaos: [["noun",[["a state of extreme confusion and disorder"],["the formless and disordered state of matter before the creation of the cosmos"],["(physics) a dynamical system that is extremely sensitive to its initial conditions"]],["pandemonium","bedlam","topsy-turvydom","topsy-turvyness"]]],
+  chard: [["noun",[["beet lacking swollen root; grown as a vegetable for its edible leaves and stalks"],["long succulent whitish stalks with large green leaves"]],["spinach beet","leaf beet","chard plant"]]],
+  charm: [["noun",[["attractiveness that interests or pleases or stimulates","his smile was part of his appeal to her"],["a verbal formula believed to have magical force","he whispered a spell as he moved his hands"],["something believed to bring good luck"]],["appeal","appealingness","spell","magic spell","magical spell"]],["verb",[["attract; cause to be enamored","She captured all the men's hearts"],["control by magic spells, as by practicing witchcraft"],["protect through supernatural powers or charms"]],["capture","enamour","trance","catch","becharm"]]],
+  chart: [["noun",[["a visual display of information"],["a map designed to assist navigation by air or sea"],["(usually plural) a listing of best-selling recorded music","number 2 on the charts"]],["graph"]],["verb",[["make a chart of","chart the territory"],["plan in detail","Bush is charting a course to destroy Saddam Hussein"],["represent by means of a graph","chart the data"]],["graph"]]],
+  chase: [["noun",[["the act of pursuing in an effort to overtake or capture","the culprit started to run and the cop took off in pursuit"],["a rectangular metal frame used in letterpress printing to hold together the pages or columns of composed type that are printed at one time"],["United States politician and jurist who served as chief justice of the United States Supreme Court (1808-1873)"]],["pursuit","pursual","following"]],["verb",[["go after with the intent to catch","The policeman chased the mugger down the alley"],["pursue someone sexually or romantically"],["cut a groove into","chase silver"]],["chase after","trail","tail","tag","give chase"]]],
+  chasm: [["noun",[["a deep opening in the earth's surface"]],[]]],
+  cheap: [["adjective",[["relatively low in price or charging low prices","it would have been cheap at twice the price"],["tastelessly showy","a flash car"],["of very poor quality; flimsy"]],["inexpensive","brassy","flash","flashy","garish"]]],
+  cheat: [["verb",[["deprive somebody of something by deceit","The con-man beat me out of $50"],["defeat someone through trickery or deceit"],["engage in deceitful behavior; practice trickery or fraud","Who's chiseling on the side?"]],["rip off","chisel","chouse","shaft","screw"]],["noun",[["weedy annual grass often occurs in grainfields and other cultivated land; seeds sometimes considered poisonous"],["weedy annual native to Europe but widely distributed as a weed especially in wheat"],["someone who leads you to believe something that is not true"]],["darnel","tare","bearded darnel","chess","deceiver"]]],
+  check: [["verb",[["examine so as to determine accuracy, quality, or condition","check the brakes"],["make an examination or investigation","check into the rumor"],["be careful or certain to do something; make certain of something","He verified that the valves were closed"]],["check up on","look into","check out","suss out","check over"]],["noun",[["a written order directing a bank to pay money","he paid all his bills by check"],["an appraisal of the state of affairs","they made an assay of the contents"],["the bill in a restaurant","he asked the waiter for the check"]],["bank check","cheque","assay","chit","tab"]]],
+  cheek: [["noun",[["either side of the face below the eyes"],["an impudent statement"],["either of the two large fleshy masses of muscular tissue that form the human rump"]],["impudence","impertinence","buttock"]],["verb",[["speak impudently to"]],[]]],
+  cheer: [["verb",[["give encouragement to"],["show approval or good wishes by shouting","everybody cheered the birthday boy"],["cause (somebody) to feel happier or more cheerful","She tried to cheer up the disappointed child when he failed to win the spelling bee"]],["hearten","recreate","embolden","cheer up","jolly along"]],["noun",[["a cry or shout of approval"],["the quality of being cheerful and dispelling gloom","flowers added a note of cheerfulness to the drab room"]],["cheerfulness","sunniness","sunshine"]]],
+  chess: [["noun",[["weedy annual native to Europe but widely distributed as a weed especially in wheat"],["a board game for two players who move their 16 pieces according to specific rules; the object is to checkmate the opponent's king"]],["cheat","chess game"]]],
+  chest: [["noun",[["the part of the human torso between the neck and the diaphragm or the corresponding part in other vertebrates"],["box with a lid; used for storage; usually large and sturdy"],["the front of the trunk from the neck to the abdomen","he beat his breast in anger"]],["thorax","pectus","breast"]]],
+  chick: [["noun",[["young bird especially of domestic fowl"],["informal terms for a (young) woman"]],["biddy","dame","doll","wench","skirt"]]],
+  chide: [["verb",[["censure severely or angrily","The mother scolded the child for entering a stranger's car"]],["call on the carpet","take to task","rebuke","rag","trounce"]]],
+  chief: [["noun",[["a person who is in charge","the head of the whole operation"],["a person who exercises control over workers","if you want to leave early you have to ask the foreman"],["the head of a tribe or clan"]],["head","top dog","foreman","gaffer","honcho"]],["adjective",[["most important element","the chief aim of living"]],["main","primary","principal","master"]]],
+  child: [["noun",[["a young person of either sex","she writes books for children"],["a human offspring (son or daughter) of any age","they had three children"],["an immature childish person","he remained a child in practical matters as long as he lived"]],["kid","youngster","minor","shaver","nipper"]]],
+  chili: [["noun",[["ground beef and chili peppers or chili powder often with tomatoes and kidney beans"],["very hot and finely tapering pepper of special pungency"]],["chili con carne","chili pepper","chilli","chilly","chile"]]],
+  chill: [["noun",[["coldness due to a cold environment"],["an almost pleasurable sensation of fright","a frisson of surprise shot through him"],["a sensation of cold that often marks the start of an infection and the development of a fever"]],["iciness","gelidity","frisson","shiver","quiver"]],["verb",[["depress or discourage","The news of the city's surrender chilled the soldiers"],["make cool or cooler","Chill the food"],["loose heat","The air cooled considerably after the thunderstorm"]],["cool","cool down"]]],
+  chime: [["noun",[["a percussion instrument consisting of a set of tuned bells that are struck with a hammer; used as an orchestral instrument"]],["bell","gong"]],["verb",[["emit a sound","bells and gongs chimed"]],[]]],
+  china: [["noun",[["high quality porcelain originally made only in China"],["dishware made of high quality porcelain"],["a communist nation that covers a vast territory in eastern Asia; the most populous country in the world"]],["chinaware"]]],
+  chirp: [["verb",[["make high-pitched sounds","the birds were chirping in the bushes"],["sing in modulation"]],["peep","cheep","chirrup","tweedle"]],["noun",[["a sharp sound made by small birds or insects"]],[]]],
+  chock: [["noun",[["a block of wood used to prevent the sliding or rolling of a heavy object"]],["wedge"]],["verb",[["secure with chocks"],["support on chocks","chock the boat"]],[]],["adverb",[["as completely as possible","it was chock-a-block full"]],["chock-a-block"]]],
+  choir: [["noun",[["a chorus that sings as part of a religious ceremony"],["a family of similar musical instrument playing together"],["the area occupied by singers; the part of the chancel between sanctuary and nave"]],["consort"]],["verb",[["sing in a choir"]],["chorus"]]],
+  choke: [["verb",[["breathe with great difficulty, as when experiencing a strong emotion","She choked with emotion when she spoke about her deceased husband"],["be too tight; rub or press","This neckband is choking the cat"],["wring the neck of","The man choked his opponent"]],["gag","fret","scrag"]],["noun",[["a coil of low resistance and high inductance used in electrical circuits to pass direct current and attenuate alternating current"],["a valve that controls the flow of air into the carburetor of a gasoline engine"]],["choke coil","choking coil"]]],
+  chord: [["noun",[["a straight line connecting two points on a curve"],["a combination of three or more notes that blend harmoniously when sounded together"]],[]],["verb",[["play chords on (a stringed instrument)"],["bring into consonance, harmony, or accord while making music or singing"]],["harmonize","harmonise"]]],
+  chore: [["noun",[["a specific piece of work required to be done as a duty or for a specific fee","estimates of the city's loss on that job ranged as high as a million dollars"]],["job","task"]]],
+  chuck: [["noun",[["informal terms for a meal"],["the part of a forequarter from the neck to the ribs and including the shoulder blade"],["a holding device consisting of adjustable jaws that center a workpiece in a lathe or center a tool in a drill"]],["chow","eats","grub"]],["verb",[["throw carelessly","chuck the ball"],["throw away","Chuck these old notes"],["pat or squeeze fondly or playfully, especially under the chin"]],["toss","ditch","pat"]]],
+  chump: [["noun",[["a person who is gullible and easy to take advantage of"]],["fool","gull","mark","patsy","fall guy"]]],
+  chunk: [["noun",[["a compact mass","a ball of mud caught him on the shoulder"],["a substantial amount","we won a chunk of money"]],["ball","clod","glob","lump","clump"]],["verb",[["put together indiscriminately","lump together all the applicants"],["group or chunk together in a certain order or place side by side"]],["lump","collocate"]]],
+  churn: [["verb",[["stir (cream) vigorously in order to make butter"],["be agitated","the sea was churning in the storm"]],["boil","moil","roil"]],["noun",[["a vessel in which cream is agitated to separate butterfat from buttermilk"]],["butter churn"]]],
+  chute: [["noun",[["rescue equipment consisting of a device that fills with air and retards your fall"],["sloping channel through which things can descend"]],["parachute","slide","slideway","sloping trough"]],["verb",[["jump from an airplane and descend with a parachute"]],["parachute","jump"]]],
+  cider: [["noun",[["a beverage made from juice pressed from apples"]],["cyder"]]],
+  cigar: [["noun",[["a roll of tobacco for smoking"]],[]]],
+  cinch: [["noun",[["any undertaking that is easy to do","marketing this product will be no picnic"],["stable gear consisting of a band around a horse's belly that holds the saddle in place"],["a form of all fours in which the players bid for the privilege of naming trumps"]],["breeze","picnic","snap","duck soup","child's play"]],["verb",[["tie a cinch around","cinch horses"],["make sure of"],["get a grip on; get mastery of"]],["girth"]]],
+  civic: [["adjective",[["of or relating or belonging to a city","civic center"],["of or relating to or befitting citizens as individuals","civil rights"]],["civil"]]],
+  civil: [["adjective",[["applying to ordinary citizens as contrasted with the military","civil authorities"],["not rude; marked by satisfactory (or especially minimal) adherence to social usages and sufficient but not noteworthy consideration for others","even if he didn't like them he should have been civil"],["of or occurring within the state or between or among citizens of the state","civil affairs"]],["polite"]]],
+  clack: [["noun",[["a sharp abrupt noise as if two objects hit together; may be repeated"],["a simple valve with a hinge on one side; allows fluid to flow in only one direction"]],["clap","clack valve","clapper valve"]],["verb",[["make a rattling sound","clattering dishes"],["make a clucking sounds, characteristic of hens"],["speak (about unimportant matters) rapidly and incessantly"]],["clatter","brattle","cluck","click","chatter"]]],
+  claim: [["noun",[["an assertion of a right (as to money or property)","his claim asked for damages"],["an assertion that something is true or factual","his claim that he was innocent"],["demand for something as rightful or due","they struck in support of their claim for a shorter work day"]],[]],["verb",[["assert or affirm strongly; state to be true or existing","He claimed that he killed the burglar"],["demand as being one's due or property; assert one's right or title to","He claimed his suitcases at the airline counter"],["ask for legally or make a legal claim to, as of debts, for example","They claimed on the maximum allowable amount"]],["lay claim","arrogate"]]],
+  clamp: [["verb",[["fasten or fix with a clamp","clamp the chair together until the glue has hardened"],["impose or inflict forcefully","The military government clamped a curfew onto the capital"]],[]],["noun",[["a device (generally used by carpenters) that holds things firmly together"]],["clinch"]]],
+  clang: [["noun",[["a loud resonant repeating noise","he could hear the clang of distant bells"]],["clangor","clangour","clangoring","clank","clash"]],["verb",[["make a loud noise","clanging metal"]],["clangor"]]],
+  clank: [["verb",[["make a clank","the train clanked through the village"]],[]],["noun",[["a loud resonant repeating noise","he could hear the clang of distant bells"]],["clang","clangor","clangour","clangoring","clash"]]],
+  clash: [["noun",[["a loud resonant repeating noise","he could hear the clang of distant bells"],["a state of conflict between persons"],["a state of conflict between colors","her dress was a disturbing clash of colors"]],["clang","clangor","clangour","clangoring","clank"]],["verb",[["crash together with violent impact","The cars collided"],["be incompatible; be or come into conflict","These colors clash"],["disagree violently","We clashed over the new farm policies"]],["collide","jar"]]],
+  clasp: [["verb",[["hold firmly and tightly"],["fasten with or as if with a brooch"],["fasten with a buckle or buckles"]],["brooch","buckle"]],["noun",[["a fastener (as a buckle or hook) that is used to hold two things together"],["the act of grasping","he released his clasp on my arm"]],["clench","clutch","clutches","grasp","grip"]]],
+  class: [["noun",[["a collection of things sharing a common attribute","there are two classes of detergents"],["a body of students who are taught together","early morning classes are always sleepy"],["people having the same social, economic, or educational status","the working class"]],["category","family","form","grade","course"]],["verb",[["arrange or order by classes or categories","How would you classify these pottery shards--are they prehistoric?"]],["classify","sort","assort","sort out","separate"]]],
+  clean: [["adjective",[["free from dirt or impurities; or having clean habits","children with clean shining faces"],["free of restrictions or qualifications","a clean bill of health"],["(of sound or color) free from anything that dulls or dims","efforts to obtain a clean bass in orchestral recordings"]],["clear","light","unclouded"]],["verb",[["make clean by removing dirt, filth, or unwanted substances from","Clean the stove!"],["remove unwanted substances from, such as feathers or pits","Clean the turkey"],["clean and tidy up the house","She housecleans every week"]],["make clean","pick","houseclean","clean house"]],["noun",[["a weightlift in which the barbell is lifted to shoulder height and then jerked overhead"]],["clean and jerk"]],["adverb",[["completely; used as intensifiers","clean forgot the appointment"],["in conformity with the rules or laws and without fraud or cheating","they played fairly"]],["plumb","plum","fairly","fair"]]],
+  clear: [["verb",[["rid of obstructions","Clear your desk"],["make a way or path by removing objects","Clear a path through the dense forest"],["become clear","The sky cleared after the storm"]],["unclutter","clear up","light up","brighten"]],["adjective",[["readily apparent to the mind","a clear and present danger"],["free from confusion or doubt","a complex problem requiring a clear head"],["affording free passage or view","a clear view"]],["open"]],["adverb",[["completely","read the book clear to the end"],["in an easily perceptible manner","could be seen clearly under the microscope"]],["all the way","clearly"]],["noun",[["the state of being free of suspicion","investigation showed that he was in the clear"],["a clear or unobstructed space or expanse of land or water","finally broke out of the forest into the open"]],["open"]]],
+  cleat: [["noun",[["a metal or leather projection (as from the sole of a shoe); prevents slipping"],["a fastener (usually with two projecting horns) around which a rope can be secured"],["a strip of wood or metal used to strengthen the surface to which it is attached"]],[]],["verb",[["provide with cleats","cleat running shoes for better traction"],["secure on a cleat","cleat a line"]],[]]],
+  cleft: [["noun",[["a split or indentation in something (as the palate or chin)"],["a long narrow opening"]],["crack","crevice","fissure","scissure"]],["adjective",[["split or divided","he had a cleft chin and strong jaw"],["having one or more indentations reaching nearly to the midrib"]],["dissected"]]],
+  clerk: [["noun",[["an employee who performs clerical work (e.g., keeps records or accounts)"],["a salesperson in a store"]],["salesclerk","shop clerk","shop assistant"]],["verb",[["work as a clerk, as in the legal business"]],[]]],
+  click: [["verb",[["move or strike with a noise","he clicked on the light"],["make a clicking or ticking sound","The clock ticked away"],["click repeatedly or uncontrollably","Chattering teeth"]],["snap","tick","chatter"]],["noun",[["a short light metallic sound"],["a stop consonant made by the suction of air into the mouth (as in Bantu)"],["a hinged catch that fits into a notch of a ratchet to move a wheel forward or prevent it from moving backward"]],["chink","clink","suction stop","pawl","detent"]]],
+  cliff: [["noun",[["a steep high face of rock","he stood on a high cliff overlooking the town"]],["drop","drop-off"]]],
+  climb: [["verb",[["go upward with gradual or continuous progress","Did you ever climb up the hill behind your house?"],["move with difficulty, by grasping"],["go up or advance","Sales were climbing after prices were lowered"]],["climb up","mount","go up","wax","rise"]],["noun",[["an upward slope or grade (as in a road)","the car couldn't make it up the rise"],["an event that involves rising to a higher point (as in altitude or temperature or intensity etc.)"],["the act of climbing something","it was a difficult climb to the top"]],["ascent","acclivity","rise","raise","upgrade"]]],
+  cling: [["verb",[["come or be in close contact with; stick or hold together and resist separation","The dress clings to her body"],["to remain emotionally or intellectually attached","He clings to the idea that she might still love him."],["hold on tightly or tenaciously","hang on to your father's hands"]],["cleave","adhere","stick","cohere","hang"]],["noun",[["fruit (especially peach) whose flesh adheres strongly to the pit"]],["clingstone"]]],
+  clink: [["verb",[["make a high sound typical of glass","champagne glasses clinked to make a toast"],["make or emit a high sound","tinkling bells"]],["tinkle","tink","chink"]],["noun",[["a short light metallic sound"],["a correctional institution used to detain persons who are in the lawful custody of the government (either accused persons awaiting trial or convicted persons serving a sentence)"]],["chink","click","jail","jailhouse","gaol"]]],
+  cloak: [["noun",[["anything that covers or conceals"],["a loose outer garment"]],[]],["verb",[["hide under a false appearance","He masked his disappointment"],["cover as if with clothing","the mountain was clothed in tropical trees"],["cover with or as if with a cloak","cloaked monks"]],["dissemble","mask","clothe","drape","robe"]]],
+  clock: [["noun",[["a timepiece that shows the time of day"]],[]],["verb",[["measure the time or duration of an event or action or the person who performs an action in a certain period of time","he clocked the runners"]],["time"]]],
+  clone: [["noun",[["a person who is almost identical to another"],["a group of genetically identical cells or organisms derived from a single cell or individual by some kind of asexual reproduction"],["an unauthorized copy or imitation"]],["ringer","dead ringer","clon","knockoff"]],["verb",[["make multiple identical copies of","people can clone a sheep nowadays"]],[]]],
+  close: [["adjective",[["at or within a short distance in space or time or having elements near each other","close to noon"],["close in relevance or relationship","a close family"],["not far distant in time or space or degree or circumstances","near neighbors"]],["near","nigh"]],["verb",[["move so that an opening or passage is obstructed; make shut","Close the door"],["become closed","The windows closed with a loud bang"],["cease to operate or cause to cease operating","The owners decided to move and to close the factory"]],["shut","close up","fold","shut down","close down"]],["adverb",[["near in time or place or relationship","as the wedding day drew near"],["in an attentive manner","he remained close on his guard"]],["near","nigh","closely","tight"]],["noun",[["the temporal end; the concluding time","the stopping point of each round was signaled by a bell"],["the last section of a communication","in conclusion I want to say..."],["the concluding part of any performance"]],["stopping point","finale","finis","finish","last"]]],
+  cloth: [["noun",[["artifact made by weaving or felting or knitting or crocheting natural or synthetic fibers","the fabric in the curtains was light and semitransparent"]],["fabric","material","textile"]]],
+  cloud: [["noun",[["any collection of particles (e.g., smoke or dust) or gases that is visible"],["a visible mass of water or ice particles suspended at a considerable altitude"],["out of touch with reality","his head was in the clouds"]],[]],["verb",[["make overcast or cloudy","Fall weather often overcasts our beaches"],["make less visible or unclear","The stars are obscured by the clouds"],["billow up in the form of a cloud","The smoke clouded above the houses"]],["overcast","obscure","befog","becloud","obnubilate"]]],
+  clout: [["noun",[["a target used in archery"],["special advantage or influence","the chairman's nephew has a lot of pull"],["a short nail with a flat head; used to attach sheet metal to wood"]],["pull","clout nail"]],["verb",[["strike hard, especially with the fist","He clouted his attacker"]],[]]],
+  clove: [["noun",[["aromatic flower bud of a clove tree; yields a spice"],["moderate sized very symmetrical red-flowered evergreen widely cultivated in the tropics for its flower buds which are source of cloves"],["one of the small bulblets that can be split off of the axis of a larger garlic bulb"]],["clove tree","garlic clove"]]],
+  clown: [["noun",[["a rude or vulgar fool"],["a person who amuses others by ridiculous behavior"]],["buffoon","goof","goofball","merry andrew"]],["verb",[["act as or like a clown"]],["clown around","antic"]]],
+  cluck: [["noun",[["the sound made by a hen (as in calling her chicks)"]],["clucking"]],["verb",[["make a clucking sounds, characteristic of hens"]],["click","clack"]]],
+  clump: [["noun",[["a grouping of a number of similar things","a bunch of trees"],["a compact mass","a ball of mud caught him on the shoulder"],["a heavy dull sound (as made by impact of heavy objects)"]],["bunch","cluster","clustering","ball","clod"]],["verb",[["make or move along with a sound as of a horse's hooves striking the ground"],["come together as in a cluster or flock","The poets constellate in this town every summer"],["walk clumsily"]],["clop","clunk","plunk","cluster","constellate"]]],
+  coach: [["verb",[["teach and supervise (someone); act as a trainer or coach (to), as in sports","He is training our Olympic team"],["drive a coach"]],["train"]],["noun",[["(sports) someone in charge of training an athlete or a team"],["a person who gives private instruction (as in singing, acting, etc.)"],["a railcar where passengers ride"]],["manager","handler","private instructor","tutor","passenger car"]]],
+  coast: [["noun",[["the shore of a sea or ocean"],["a slope down which sleds may coast","when it snowed they made a coast on the golf course"],["the area within view","the coast is clear"]],["seashore","seacoast","sea-coast"]],["verb",[["move effortlessly; by force of gravity"]],[]]],
+  cobra: [["noun",[["venomous Asiatic and African elapid snakes that can expand the skin of the neck into a hood"]],[]]],
+  cocoa: [["noun",[["a beverage made from cocoa powder and milk and sugar; usually drunk hot"],["powder of ground roasted cacao beans with most of the fat removed"]],["chocolate","hot chocolate","drinking chocolate"]]],
+  colon: [["noun",[["the part of the large intestine between the cecum and the rectum; it extracts moisture from food residues before they are excreted"],["the basic unit of money in El Salvador; equal to 100 centavos"],["the basic unit of money in Costa Rica; equal to 100 centimos"]],[]]],
+  color: [["noun",[["a visual attribute of things that results from the light they emit or transmit or reflect","a white color is made up of many different wavelengths of light"],["interest and variety and intensity","the Puritan Period was lacking in color"],["the timbre of a musical sound","the recording fails to capture the true color of the original music"]],["colour","coloring","colouring","vividness","coloration"]],["verb",[["add color to","The child colored the drawings"],["affect as in thought or feeling","My personal feelings color my judgment in this case"],["modify or bias","His political ideas color his lectures"]],["colorize","colorise","colourise","colourize","colour"]],["adjective",[["having or capable of producing colors","color film"]],["colour"]]],
+  comet: [["noun",[["(astronomy) a relatively small extraterrestrial body consisting of a frozen mass that travels around the sun in a highly elliptical orbit"]],[]]],
+  comfy: [["adjective",[["providing or experiencing physical well-being or relief (`comfy' is informal)","comfortable clothes"]],["comfortable"]]],
+  comic: [["adjective",[["arousing or provoking laughter","an amusing film with a steady stream of pranks and pratfalls"],["of or relating to or characteristic of comedy","comic hero"]],["amusing","comical","funny","laughable","mirthful"]],["noun",[["a professional performer who tells jokes and performs comical acts"]],["comedian"]]],
+  comma: [["noun",[["a punctuation mark (,) used to indicate the separation of elements within the grammatical structure of a sentence"],["anglewing butterfly with a comma-shaped mark on the underside of each hind wing"]],["comma butterfly"]]],
+  conch: [["noun",[["any of various edible tropical marine gastropods of the genus Strombus having a brightly-colored spiral shell with large outer lip"]],[]]],
+  condo: [["noun",[["one of the dwelling units in a condominium"]],["condominium"]]],
+  conic: [["noun",[["(geometry) a curve generated by the intersection of a plane and a circular cone"]],["conic section"]],["adjective",[["relating to or resembling a cone","conical mountains"]],["conical","conelike","cone-shaped"]]],
+  copse: [["noun",[["a dense growth of bushes"]],["brush","brushwood","coppice","thicket"]]],
+  coral: [["noun",[["a variable color averaging a deep pink"],["the hard stony skeleton of a Mediterranean coral that has a delicate red or pink color and is used for jewelry"],["unfertilized lobster roe; reddens in cooking; used as garnish or to color sauces"]],["red coral","precious coral"]],["adjective",[["of a strong pink to yellowish-pink color"]],[]]],
+  corer: [["noun",[["a device for removing the core from apples"]],[]]],
+  corny: [["adjective",[["dull and tiresome but with pretensions of significance or originality","bromidic sermons"]],["bromidic","platitudinal","platitudinous"]]],
+  couch: [["noun",[["an upholstered seat for more than one person"],["a flat coat of paint or varnish used by artists as a primer"],["a narrow bed on which a patient lies during psychiatric or psychoanalytic treatment"]],["sofa","lounge"]],["verb",[["formulate in a particular style or language","I wouldn't put it that way"]],["frame","redact","cast","put"]]],
+  cough: [["verb",[["exhale abruptly, as when one has a chest cold or congestion","The smoker coughs all day"]],[]],["noun",[["a sudden noisy expulsion of air from the lungs that clears the air passages; a common symptom of upper respiratory infection or bronchitis or pneumonia or tuberculosis"]],["coughing"]]],
+  count: [["verb",[["determine the number or amount of","Can you count the books on your shelf?"],["have weight; have import, carry weight","It does not matter much"],["show consideration for; take into account","You must consider her age"]],["number","enumerate","numerate","matter","weigh"]],["noun",[["the total number counted","a blood count"],["the act of counting; reciting numbers in ascending order","the counting continued for several hours"],["a nobleman (in various countries) having rank equal to a British earl"]],["counting","numeration","enumeration","reckoning","tally"]]],
+  coupe: [["noun",[["a car with two doors and front seats and a luggage compartment"]],[]]],
+  court: [["noun",[["an assembly (including one or more judges) to conduct judicial business"],["a room in which a lawcourt sits","television cameras were admitted in the courtroom"],["the sovereign and his advisers who are the governing power of a state"]],["tribunal","judicature","courtroom","royal court"]],["verb",[["make amorous advances towards","John is courting Mary"],["seek someone's favor","China is wooing Russia"],["engage in social activities leading to marriage","We were courting for over ten years"]],["woo","romance","solicit"]]],
+  coven: [["noun",[["an assembly of witches; usually 13 witches"]],[]]],
+  cover: [["verb",[["provide with a covering or cause to be covered","cover her face with a handkerchief"],["form a cover over","The grass covered the grave"],["span an interval of distance, space or time","The war extended over five years"]],["spread over","continue","extend"]],["noun",[["a covering that serves to conceal or shelter something","a screen of trees afforded privacy"],["bedding that keeps a person warm in bed","he pulled the covers over his head and went to sleep"],["the act of concealing the existence of something by obstructing the view of it","the cover concealed their guns from enemy aircraft"]],["screen","covert","concealment","blanket","covering"]]],
+  covet: [["verb",[["wish, long, or crave for (something, especially the property of another person)","She covets her sister's house"]],[]]],
+  covey: [["noun",[["a small collection of people"],["a small flock of grouse or partridge"]],[]]],
+  cower: [["verb",[["crouch or curl up","They huddled outside in the rain"],["show submission or fear"]],["huddle","fawn","crawl","creep","cringe"]]],
+  coyly: [["adverb",[["in a coy manner","she pouted and looked at him coyly"]],[]]],
+  crack: [["verb",[["become fractured; break or crack on the surface only","The glass cracked when it was heated"],["make a very sharp explosive sound","His gun cracked"],["make a sharp sound","his fingers snapped"]],["check","break","snap"]],["noun",[["a long narrow opening"],["a narrow opening","he opened the window a crack"],["a long narrow depression in a surface"]],["cleft","crevice","fissure","scissure","gap"]],["adjective",[["of the highest quality","an ace reporter"]],["ace","first-rate","super","tiptop","topnotch"]]],
+  craft: [["noun",[["the skilled practice of a practical occupation","he learned his trade as an apprentice"],["a vehicle designed for navigation in or on water or air or through outer space"],["people who perform a particular kind of skilled work","he represented the craft of brewers"]],["trade"]],["verb",[["make by hand and with much skill","The artisan crafted a complicated tool"]],[]]],
+  cramp: [["noun",[["a painful and involuntary muscular contraction"],["a clamp for holding pieces of wood together while they are glued"],["a strip of metal with ends bent at right angles; used to hold masonry together"]],["spasm","muscle spasm","cramp iron"]],["verb",[["secure with a cramp","cramp the wood"],["prevent the progress or free movement of","He was hampered in his efforts by the bad weather"],["affect with or as if with a cramp"]],["hamper","halter","strangle"]]],
+  crane: [["verb",[["stretch (the neck) so as to see better","The women craned their necks to see the President drive by"]],["stretch out"]],["noun",[["lifts and moves heavy objects; lifting tackle is suspended from a pivoted boom that rotates around a vertical axis"],["large long-necked wading bird of marshes and plains in many parts of the world"],["United States writer (1871-1900)"]],[]]],
+  crank: [["noun",[["a bad-tempered person"],["a whimsically eccentric person"],["an amphetamine derivative (trade name Methedrine) used in the form of a crystalline hydrochloride; used as a stimulant to the nervous system and as an appetite suppressant"]],["grouch","grump","churl","crosspatch","crackpot"]],["verb",[["travel along a zigzag path","The river zigzags through the countryside"],["start by cranking","crank up the engine"],["rotate with a crank"]],["zigzag","crank up"]],["adjective",[["(used of boats) inclined to heel over easily under sail"]],["cranky","tender","tippy"]]],
+  crash: [["verb",[["fall or come down violently","The branch crashed down on my car"],["move with, or as if with, a crashing noise","The car crashed through the glass door"],["undergo damage or destruction on impact","the plane crashed into the ocean"]],["ram"]],["noun",[["a loud resonant repeating noise","he could hear the clang of distant bells"],["a serious accident (usually involving one or more vehicles)","they are still investigating the crash of the TWA plane"],["a sudden large decline of business or the prices of stocks (especially one that causes additional failures)"]],["clang","clangor","clangour","clangoring","clank"]]],
+  crass: [["adjective",[["(of persons) so unrefined as to be lacking in discrimination and sensibility"]],[]]],
+  crate: [["noun",[["a rugged box (usually made of wood); used for shipping"],["the quantity contained in a crate"]],["crateful"]],["verb",[["put into a crate; as for protection","crate the paintings before shipping them to the museum"]],[]]],
+  crave: [["verb",[["have a craving, appetite, or great desire for"],["plead or ask for earnestly"]],["hunger","thirst","starve","lust"]]],
+  crawl: [["verb",[["move slowly; in the case of people or animals with the body near the ground","The crocodile was crawling along the riverbed"],["feel as if crawling with insects","My skin crawled--I was terrified"],["be full of","The old cheese was crawling with maggots"]],["creep"]],["noun",[["a very slow movement","the traffic advanced at a crawl"],["a swimming stroke; arms are moved alternately overhead accompanied by a flutter kick"],["a slow mode of locomotion on hands and knees or dragging the body","a crawl was all that the injured man could manage"]],["front crawl","crawling","creep","creeping"]]],
+  craze: [["noun",[["an interest followed with exaggerated zeal","he always follows the latest fads"],["state of violent mental agitation"],["a fine crack in a glaze or other surface"]],["fad","furor","furore","cult","rage"]],["verb",[["cause to go crazy; cause to lose one's mind"],["develop a fine network of cracks","Crazed ceramics"]],["madden"]]],
+  crazy: [["adjective",[["affected with madness or insanity","a man who had gone mad"],["foolish; totally unsound","a crazy scheme"],["possessed by inordinate excitement","the crowd went crazy"]],["brainsick","demented","disturbed","mad","sick"]],["noun",[["someone deranged and possibly dangerous"]],["loony","looney","nutcase","weirdo"]]],
+  creak: [["verb",[["make a high-pitched, screeching noise","The door creaked when I opened it slowly"]],["whine","squeak","screech","screak","skreak"]],["noun",[["a squeaking sound","the creak of the floorboards gave him away"]],["creaking"]]],
+  cream: [["noun",[["the best people or things in a group","the cream of England's young men were killed in the Great War"],["the part of milk containing the butterfat"],["toiletry consisting of any of various substances in the form of a thick liquid that have a soothing and moisturizing effect when applied to the skin"]],["pick","ointment","emollient"]],["verb",[["make creamy by beating","Cream the butter"],["beat thoroughly and conclusively in a competition or fight","We licked the other team on Sunday!"],["put on cream, as on one's face or body","She creams her face every night"]],["bat","clobber","drub","thrash","lick"]]],
+  credo: [["noun",[["any system of principles or beliefs"]],["creed"]]],
+  creed: [["noun",[["any system of principles or beliefs"],["the written body of teachings of a religious group that are generally accepted by that group"]],["credo","religious doctrine","church doctrine","gospel"]]],
+  creek: [["noun",[["a natural stream of water smaller than a river (and often a tributary of a river)","the creek dried up every summer"],["any member of the Creek Confederacy (especially the Muskogee) formerly living in Georgia and Alabama but now chiefly in Oklahoma"]],["brook"]]],
+  creep: [["verb",[["move slowly; in the case of people or animals with the body near the ground","The crocodile was crawling along the riverbed"],["to go stealthily or furtively","..stead of sneaking around spying on the neighbor's house"],["grow or spread, often in such a way as to cover (a surface)","ivy crept over the walls of the university buildings"]],["crawl","sneak","mouse","pussyfoot"]],["noun",[["someone unpleasantly strange or eccentric"],["a slow longitudinal movement or deformation"],["a pen that is fenced so that young animals can enter but adults cannot"]],["weirdo","weirdie","weirdy","spook"]]],
+  crepe: [["noun",[["paper with a crinkled texture; usually colored and used for decorations"],["small very thin pancake"],["a soft thin light fabric with a crinkled surface"]],["crepe paper","crape"]],["verb",[["cover or drape with crape","crape the mirror"]],["crape"]]],
+  cress: [["noun",[["any of various plants of the family Cruciferae with edible leaves that have a pungent taste"],["pungent leaves of any of numerous cruciferous herbs"]],["cress plant"]]],
+  crest: [["noun",[["the top line of a hill, mountain, or wave"],["the top or extreme point of something (usually a mountain or hill)","the view from the peak was magnificent"],["the center of a cambered road"]],["peak","crown","top","tip","summit"]],["verb",[["lie at the top of","Snow capped the mountains"],["reach a high point","The river crested last night"]],["cap"]]],
+  crick: [["noun",[["a painful muscle spasm especially in the neck or back (`rick' and `wrick' are British)"],["English biochemist who (with Watson in 1953) helped discover the helical structure of DNA (1916-2004)"]],["kink","rick","wrick"]],["verb",[["twist (a body part) into a strained position","crick your neck"]],[]]],
+  crier: [["noun",[["a person who weeps"],["(formerly) an official who made public announcements"],["a peddler who shouts to advertise the goods he sells"]],["weeper","town crier"]]],
+  crime: [["noun",[["(criminal law) an act punishable by law; usually considered an evil act","a long record of crimes"],["an evil act not necessarily punishable by law","crimes of the heart"]],["criminal offense","criminal offence","law-breaking"]]],
+  crimp: [["noun",[["an angular or rounded shape made by folding","a fold in the napkin"],["someone who tricks or coerces men into service as sailors or soldiers"],["a lock of hair that has been artificially waved or curled"]],["fold","crease","plication","flexure","bend"]],["verb",[["make ridges into by pinching together"],["curl tightly","crimp hair"]],["pinch","crape","frizzle","frizz","kink up"]]],
+  crisp: [["noun",[["a thin crisp slice of potato fried in deep fat"]],["chip","potato chip"]],["adjective",[["(of something seen or heard) clearly defined","a sharp photographic image"],["tender and brittle","crisp potato chips"],["pleasantly cold and invigorating","crisp clear nights and frosty mornings"]],["sharp","crispy","frosty","nipping","nippy"]],["verb",[["make wrinkles or creases on a smooth surface; make a pressed, folded or wrinkled line in; `crisp' is archaic","The dress got wrinkled"],["make brown and crisp by heating","toast bread"]],["wrinkle","ruckle","crease","crinkle","scrunch"]]],
+  croak: [["verb",[["pass from physical life and lose all bodily attributes and functions necessary to sustain life","She died from cancer"],["utter a hoarse sound, like a raven"],["make complaining remarks or noises under one's breath","she grumbles when she feels overworked"]],["die","decease","perish","go","exit"]],["noun",[["a harsh hoarse utterance (as of a frog)"]],["croaking"]]],
+  crock: [["noun",[["a black colloidal substance consisting wholly or principally of amorphous carbon and used to make pigments and ink"],["nonsense; foolish talk","that's a crock"],["an earthen jar (made of baked clay)"]],["carbon black","lampblack","soot","smut","earthenware jar"]],["verb",[["release color when rubbed, of badly dyed fabric"],["soil with or as with crock"]],[]]],
+  crone: [["noun",[["an ugly evil-looking old woman"]],["hag","beldam","beldame","witch"]]],
+  crony: [["noun",[["a close friend who accompanies his buddies in their activities"]],["buddy","brother","chum","pal","sidekick"]]],
+  crook: [["noun",[["someone who has committed a crime or has been legally convicted of a crime"],["a circular segment of a curve","a bend in the road"],["a long staff with one end being hook shaped"]],["criminal","felon","outlaw","malefactor","bend"]],["verb",[["bend or cause to bend","He crooked his index finger"]],["curve"]]],
+  cross: [["verb",[["travel across or pass over","The caravan covered almost 100 miles each day"],["meet at a point"],["hinder or prevent (the efforts, plans, or desires) of","What ultimately frustrated every challenger was Ruth's amazing September surge"]],["traverse","track","cover","pass over","get over"]],["noun",[["a wooden structure consisting of an upright post with a transverse piece"],["a marking that consists of lines that cross each other"],["any affliction that causes great suffering","that is his cross to bear"]],["crisscross","mark","crown of thorns"]],["adjective",[["extending or lying across; in a crosswise direction; at right angles to the long axis","cross members should be all steel"],["annoyed and irritable"]],["transverse","transversal","thwartwise","crabbed","crabby"]]],
+  croup: [["noun",[["a disease of infants and young children; harsh coughing and hoarseness and fever and difficult breathing"],["the part of an animal that corresponds to the human buttocks"]],["spasmodic laryngitis","hindquarters","croupe","rump"]]],
+  crowd: [["verb",[["cause to herd, drive, or crowd together","We herded the children into a spare classroom"],["fill or occupy to the point of overflowing","The students crowded the auditorium"],["to gather together in large numbers","men in straw boaters and waxed mustaches crowded the verandah"]],["herd","crowd together"]],["noun",[["a large number of things or people considered together","a crowd of insects assembled around the flowers"],["an informal body of friends","he still hangs out with the same crowd"]],["crew","gang","bunch"]]],
+  crown: [["noun",[["the part of a tooth above the gum that is covered with enamel"],["a wreath or garland worn on the head to signify victory"],["an ornamental jeweled headdress signifying sovereignty"]],["diadem"]],["verb",[["invest with regal power; enthrone","The prince was crowned in Westminster Abbey"],["be the culminating event","The speech crowned the meeting"],["form the topmost part of","A weather vane crowns the building"]],["coronate","top"]]],
+  crude: [["adjective",[["not carefully or expertly made","managed to make a crude splint"],["conspicuously and tastelessly indecent","coarse language"],["not refined or processed","unrefined ore"]],["rough","earthy","gross","vulgar","unrefined"]],["noun",[["a dark oil consisting mainly of hydrocarbons"]],["petroleum","crude oil","rock oil","fossil oil","oil"]]],
+  cruel: [["adjective",[["(of persons or their actions) able or disposed to inflict pain or suffering","a barbarous crime"]],["barbarous","brutal","fell","roughshod","savage"]]],
+  crumb: [["noun",[["a very small quantity of something","he gave only a crumb of information about his plans"],["a person who is deemed to be despicable or contemptible","only a rotter would do that"],["small piece of e.g. bread or cake"]],["rotter","dirty dog","rat","skunk","stinker"]],["verb",[["coat with bread crumbs","crumb a cutlet"],["break into crumbs"],["remove crumbs from","crumb the table"]],[]]],
+  crump: [["verb",[["make a noise typical of an engine lacking lubricants"],["bombard with heavy shells"],["explode heavily or with a loud dull noise"]],["thud","scrunch"]]],
+  crush: [["verb",[["come down on or keep down by unjust use of one's authority","The government oppresses political activists"],["to compress with violence, out of natural shape or condition","crush an aluminum can"],["come out better in a competition, race, or conflict","Agassi beat Becker in the tennis championship"]],["oppress","suppress","squash","squelch","mash"]],["noun",[["leather that has had its grain pattern accentuated"],["a dense crowd of people"],["temporary love of an adolescent"]],["crushed leather","jam","press","puppy love","calf love"]]],
+  crust: [["noun",[["the outer layer of the Earth"],["a hard outer layer that covers something"],["the trait of being rude and impertinent; inclined to take liberties"]],["incrustation","encrustation","gall","impertinence","impudence"]],["verb",[["form a crust or form into a crust","The bread crusted in the oven"]],[]]],
+  crypt: [["noun",[["a cellar or vault or underground burial chamber (especially beneath a church)"]],[]]],
+  cubic: [["adjective",[["involving the cube and no higher power of a quantity or variable","a cubic equation"],["having the shape of a cube; having three dimensions"]],["three-dimensional"]]],
+  cumin: [["noun",[["dwarf Mediterranean annual long cultivated for its aromatic seeds"],["aromatic seeds of the cumin herb of the carrot family"]],["cumin seed"]]],
+  curio: [["noun",[["something unusual -- perhaps worthy of collecting"]],["curiosity","oddity","oddment","peculiarity","rarity"]]],
+  curly: [["adjective",[["(of hair) having curls or waves","they envied her naturally curly hair"]],[]]],
+  curry: [["noun",[["(East Indian cookery) a pungent dish of vegetables or meats flavored with curry powder and usually eaten with rice"]],[]],["verb",[["season with a mixture of spices; typical of Indian cooking"],["treat by incorporating fat","curry tanned leather"],["give a neat appearance to","groom the dogs"]],["dress","groom"]]],
+  curse: [["noun",[["profane or obscene expression usually of surprise or anger","expletives were deleted"],["an appeal to some supernatural power to inflict evil on someone or some group"],["an evil spell","a witch put a curse on his whole family"]],["curse word","expletive","oath","swearing","swearword"]],["verb",[["utter obscenities or profanities","The drunken men were cursing loudly in the street"],["heap obscenities upon","The taxi driver who felt he didn't get a high enough tip cursed the passenger"],["wish harm upon; invoke evil upon","The bad witch cursed the child"]],["cuss","blaspheme","swear","imprecate","beshrew"]]],
+  curve: [["noun",[["the trace of a point whose direction of motion changes"],["a line on a graph representing data"],["a pitch of a baseball that is thrown with spin so that its path curves as it approaches the batter"]],["curved shape","curve ball","breaking ball","bender"]],["verb",[["turn sharply; change direction abruptly","The car cut to the left at the intersection"],["extend in curves and turns","The road winds around the lake"],["form an arch or curve","her back arches"]],["swerve","sheer","trend","veer","slue"]]],
+  curvy: [["adjective",[["having curves","a settee with only one curvy end"],["(of a woman's body) having a large bosom and pleasing curves","Hollywood seems full of curvaceous blondes"]],["curvey","bosomy","busty","buxom","curvaceous"]]],
+  cycle: [["noun",[["an interval during which a recurring sequence of events occurs","the never-ending cycle of the seasons"],["a series of poems or songs on the same theme","Schubert's song cycles"],["a periodically repeated sequence of events","a cycle of reprisal and retaliation"]],["rhythm","round"]],["verb",[["cause to go through a recurring sequence","cycle the laundry in this washing program"],["pass through a cycle","This machine automatically cycles"],["ride a motorcycle"]],["motorbike","motorcycle"]]],
+  cynic: [["noun",[["someone who is critical of the motives of others"],["a member of a group of ancient Greek philosophers who advocated the doctrine that virtue is the only good and that the essence of virtue is self-control"]],["faultfinder"]]],
+  daddy: [["noun",[["an informal term for a father; probably derived from baby talk"]],["dad","dada","pa","papa","pappa"]]],
+  daily: [["adverb",[["every day; without missing a day","he stops by daily"],["gradually and progressively","his health weakened day by day"]],["day by day"]],["noun",[["a newspaper that is published every day"]],[]],["adjective",[["of or belonging to or occurring every day","daily routine"],["appropriate for ordinary or routine occasions","casual clothes"]],["day-to-day","day-by-day","day-after-day","casual","everyday"]]],
+  dairy: [["noun",[["a farm where dairy products are produced"]],["dairy farm"]]],
+  daisy: [["noun",[["any of numerous composite plants having flower heads with well-developed ray flowers usually arranged in a single whorl"]],[]]],
+  dally: [["verb",[["behave carelessly or indifferently","Play about with a young girl's affection"],["waste time","Get busy--don't dally!"],["talk or behave amorously, without serious intentions","The guys always try to chat up the new secretaries"]],["toy","play","flirt","dawdle","chat up"]]],
+  dance: [["noun",[["an artistic form of nonverbal communication"],["a party of people assembled for dancing"],["taking a series of rhythmical steps (and movements) in time to music"]],["dancing","terpsichore","saltation"]],["verb",[["move in a graceful and rhythmical way","The young girl danced into the room"],["move in a pattern; usually to musical accompaniment; do or perform a dance","My husband and I like to dance at home to the radio"],["skip, leap, or move up and down or sideways","Dancing flames"]],["trip the light fantastic","trip the light fantastic toe"]]],
+  dandy: [["noun",[["a man who is much concerned with his dress and appearance"],["a sailing vessel with two masts; a small mizzen is aft of the rudderpost"]],["dude","fop","gallant","sheik","beau"]],["adjective",[["very good","he did a bully job"]],["bang-up","bully","corking","cracking","great"]]],
+  datum: [["noun",[["an item of factual information derived from measurement or research"]],["data point"]]],
+  daunt: [["verb",[["cause to lose courage","dashed by the refusal"]],["dash","scare off","pall","frighten off","scare away"]]],
+  death: [["noun",[["the event of dying or departure from life","her death came as a terrible shock"],["the permanent end of all life functions in an organism or part of an organism","the animal died a painful death"],["the absence of life or state of being dead","he seemed more content in death than he had ever been in life"]],["decease","expiry"]]],
+  debar: [["verb",[["bar temporarily; from school, office, etc."],["prevent the occurrence of; prevent from happening","Let's avoid a confrontation"],["prevent from entering; keep out","He was barred from membership in the club"]],["suspend","forefend","forfend","obviate","deflect"]]],
+  debit: [["noun",[["an accounting entry acknowledging sums that are owing"]],["debit entry"]],["verb",[["enter as debit"]],[]]],
+  debug: [["verb",[["locate and correct errors in a computer program code","debug this program"]],[]]],
+  debut: [["verb",[["present for the first time to the public","The band debuts a new song or two each month"],["appear for the first time in public","The new ballet that debuts next months at Covent Garden, is already sold out"],["make one's debut","This young soprano debuts next month at the Metropolitan Opera"]],[]],["noun",[["the act of beginning something new","they looked forward to the debut of their new product line"],["the presentation of a debutante in society"]],["introduction","first appearance","launching","unveiling","entry"]]],
+  decal: [["noun",[["either a design that is fixed to some surface or a paper bearing the design which is to be transferred to the surface"]],["decalcomania"]]],
+  decay: [["noun",[["the process of gradually becoming inferior"],["a gradual decrease; as of stored charge or current"],["the organic phenomenon of rotting"]],["decline","decomposition"]],["verb",[["lose a stored charge, magnetic flux, or current","the particles disintegrated during the nuclear fission process"],["fall into decay or ruin","The unoccupied house started to decay"],["undergo decay or decomposition","The body started to decay and needed to be cremated"]],["disintegrate","decompose","crumble","dilapidate"]]],
+  decor: [["noun",[["decoration consisting of the layout and furnishings of a livable interior"]],["interior decoration"]]],
+  decoy: [["noun",[["a beguiler who leads someone into danger (usually as part of a plot)"],["something used to lure fish or other animals into danger so they can be trapped or killed"]],["steerer","bait","lure"]],["verb",[["lure or entrap with or as if with a decoy"]],[]]],
+  decry: [["verb",[["express strong disapproval of","We condemn the racism in South Africa"]],["condemn","reprobate","objurgate","excoriate"]]],
+  defer: [["verb",[["hold back to a later time","let's postpone the exam"],["yield to another's wish or opinion","The government bowed to the military pressure"]],["postpone","prorogue","hold over","put over","table"]]],
+  deign: [["verb",[["do something that one considers to be below one's dignity"]],["condescend","descend"]]],
+  deity: [["noun",[["any supernatural being worshipped as controlling some part of the world or some aspect of life or who is the personification of a force"]],["divinity","god","immortal"]]],
+  delay: [["verb",[["cause to be slowed down or delayed","Traffic was delayed by the bad weather"],["act later than planned, scheduled, or required","Don't delay your application to graduate school or else it won't be considered"],["stop or halt","Please stay the bloodshed!"]],["detain","hold up","stay"]],["noun",[["time during which some action is awaited","instant replay caused too long a delay"],["the act of delaying; inactivity resulting in something being put off until a later time"]],["hold","time lag","postponement","wait","holdup"]]],
+  delta: [["noun",[["a low triangular area of alluvial deposits where a river divides before entering a larger body of water","the Mississippi River delta"],["an object shaped like an equilateral triangle"],["the 4th letter of the Greek alphabet"]],[]]],
+  delve: [["verb",[["turn up, loosen, or remove earth","Dig we must"]],["dig","cut into","turn over"]]],
+  demon: [["noun",[["an evil supernatural being"],["a cruel wicked and inhuman person"],["someone extremely diligent or skillful","he worked like a demon to finish the job on time"]],["devil","fiend","daemon","daimon","monster"]]],
+  demur: [["verb",[["take exception to","he demurred at my suggestion to work on Saturday"],["enter a demurrer"]],["except"]],["noun",[["(law) a formal objection to an opponent's pleadings"]],["demurral","demurrer"]]],
+  denim: [["noun",[["(used in the plural) close-fitting trousers of heavy denim for manual work or casual wear"],["a coarse durable twill-weave cotton fabric"]],["jeans","blue jeans","dungaree","jean"]]],
+  dense: [["adjective",[["permitting little if any light to pass through because of denseness of matter","dense smoke"],["hard to pass through because of dense growth","dense vegetation"],["having high relative density or specific gravity","dense as lead"]],["heavy","impenetrable","thick"]]],
+  depot: [["noun",[["station where transport vehicles load or unload passengers or goods"],["a depository for goods","storehouses were built close to the docks"]],["terminal","terminus","storehouse","entrepot","storage"]]],
+  depth: [["noun",[["the extent downward or backward or inward","the depth of the water"],["degree of psychological or intellectual profundity"],["(usually plural) a low moral state","he had sunk to the depths of addiction"]],["deepness"]]],
+  derby: [["noun",[["a felt hat that is round and hard with a narrow brim"]],["bowler hat","bowler","derby hat","plug hat"]]],
+  deter: [["verb",[["try to prevent; show opposition to","We should discourage this practice among our youth"],["turn away from by persuasion","Negative campaigning will only dissuade people"]],["discourage","dissuade"]]],
+  detox: [["noun",[["the hospital ward or clinic in which patients are detoxified"]],[]],["verb",[["treat for alcohol or drug dependence","He was detoxified in the clinic"]],["detoxify"]]],
+  deuce: [["noun",[["a tie in tennis or table tennis that requires winning two successive points to win the game"],["the cardinal number that is the sum of one and one or a numeral representing this number"],["a word used in exclamations of confusion","what the devil"]],["two","2","devil","dickens"]]],
+  devil: [["noun",[["an evil supernatural being"],["a word used in exclamations of confusion","what the devil"],["a rowdy or mischievous person (usually a young man)","he chased the young hellions out of his yard"]],["fiend","demon","daemon","daimon","deuce"]],["verb",[["cause annoyance in; disturb, especially by minor irritations","Mosquitoes buzzing in my ear really bothers me"],["coat or stuff with a spicy paste","devilled eggs"]],["annoy","rag","get to","bother","get at"]]],
+  diary: [["noun",[["a daily written record of (usually personal) experiences and observations"],["a personal journal (as a physical object)"]],["journal"]]],
+  dicey: [["adjective",[["of uncertain outcome; especially fraught with risk","an extremely dicey future on a brave new world of liquid nitrogen, tar, and smog"]],["chancy","chanceful","dodgy"]]],
+  digit: [["noun",[["one of the elements that collectively form a system of numeration","0 and 1 are digits"],["the length of breadth of a finger used as a linear measure"],["a finger or toe in human beings or corresponding body part in other vertebrates"]],["figure","finger","fingerbreadth","finger's breadth","dactyl"]]],
+  dimly: [["adverb",[["in a dim indistinct manner","we perceived the change only dimly"],["in a manner lacking interest or vitality","a palely entertaining show"],["with a dim light","a dimly lit room"]],["indistinctly","pallidly","palely","murkily"]]],
+  diner: [["noun",[["a person eating a meal (especially in a restaurant)"],["a passenger car where food is served in transit"],["a restaurant that resembles a dining car"]],["dining car","dining compartment","buffet car"]]],
+  dingo: [["noun",[["wolflike yellowish-brown wild dog of Australia"]],["warrigal","warragal"]]],
+  dingy: [["adjective",[["thickly covered with ingrained dirt or soot","a miner's begrimed face"],["(of color) discolored by impurities; not bright and clear","dirty"],["causing dejection","a blue day"]],["begrimed","grimy","grubby","grungy","raunchy"]]],
+  diode: [["noun",[["a thermionic tube having two electrodes; used as a rectifier"],["a semiconductor that consists of a p-n junction"]],["rectifying tube","rectifying valve","semiconductor diode","junction rectifier","crystal rectifier"]]],
+  dirge: [["noun",[["a song or hymn of mourning composed or performed as a memorial to a dead person"]],["coronach","lament","requiem","threnody"]]],
+  dirty: [["adjective",[["soiled or likely to soil with dirt or grime","dirty unswept sidewalks"],["(of behavior or especially language) characterized by obscenity or indecency","dirty words"],["vile; despicable","a dirty (or lousy) trick"]],["soiled","unclean","filthy","lousy"]],["verb",[["make soiled, filthy, or dirty","don't soil your clothes when you play outside!"]],["soil","begrime","grime","colly","bemire"]]],
+  disco: [["noun",[["popular dance music (especially in the late 1970s); melodic with a regular bass beat; intended mainly for dancing at discotheques"],["a public dance hall for dancing to recorded popular music"]],["disco music","discotheque"]],["verb",[["dance to disco music"]],[]]],
+  ditch: [["noun",[["a long narrow excavation in the earth"],["any small natural waterway"]],[]],["verb",[["forsake","ditch a lover"],["throw away","Chuck these old notes"],["sever all ties with, usually unceremoniously or irresponsibly","The company dumped him after many years of service"]],["chuck","dump"]]],
+  ditto: [["noun",[["a mark used to indicate the word above it should be repeated"]],["ditto mark"]],["verb",[["repeat an action or statement","The next speaker dittoed her argument"]],[]]],
+  ditty: [["noun",[["a short simple song (or the words of a poem intended to be sung)"]],[]]],
+  diver: [["noun",[["someone who works underwater"],["someone who dives (into water)"],["large somewhat primitive fish-eating diving bird of the northern hemisphere having webbed feet placed far back; related to the grebes"]],["frogman","underwater diver","plunger","loon"]]],
+  dizzy: [["adjective",[["having or causing a whirling sensation; liable to falling","had a dizzy spell"],["lacking seriousness; given to frivolity","a dizzy blonde"]],["giddy","woozy","vertiginous","airheaded","empty-headed"]],["verb",[["make dizzy or giddy","a dizzying pace"]],[]]],
+  dodge: [["verb",[["make a sudden movement in a new direction so as to avoid","The child dodged the teacher's blow"],["move to and fro or from place to place usually in an irregular course","the pickpocket dodged through the crowd"],["avoid or try to avoid fulfilling, answering, or performing (duties, questions, or issues)","He dodged the issue"]],["hedge","fudge","evade","put off","circumvent"]],["noun",[["an elaborate or deceitful scheme contrived to deceive or evade","his testimony was just a contrivance to throw us off the track"],["a quick evasive movement"],["a statement that evades the question by cleverness or trickery"]],["contrivance","stratagem","dodging","scheme"]]],
+  dodgy: [["adjective",[["of uncertain outcome; especially fraught with risk","an extremely dicey future on a brave new world of liquid nitrogen, tar, and smog"],["marked by skill in deception","cunning men often pass for wise"]],["chancy","chanceful","dicey","crafty","cunning"]]],
+  dogma: [["noun",[["a religious doctrine that is proclaimed as true without proof"],["a doctrine or code of beliefs accepted as authoritative","he believed all the Marxist dogma"]],["tenet"]]],
+  dolly: [["noun",[["conveyance consisting of a wheeled support on which a camera can be mounted"],["conveyance consisting of a wheeled platform for moving heavy objects"],["a small replica of a person; used as a toy"]],["doll"]]],
+  donor: [["noun",[["person who makes a gift of property"],["(medicine) someone who gives blood or tissue or an organ to be used in another person (the host)"]],["giver","presenter","bestower","conferrer"]]],
+  donut: [["noun",[["a small ring-shaped friedcake"]],["doughnut","sinker"]]],
+  dopey: [["adjective",[["having or revealing stupidity","ridiculous anserine behavior"]],["anserine","dopy","foolish","goosey","goosy"]]],
+  doubt: [["noun",[["the state of being unsure of something"],["uncertainty about the truth or factuality or existence of something","the dubiousness of his claim"]],["uncertainty","incertitude","dubiety","doubtfulness","dubiousness"]],["verb",[["consider unlikely or have doubts about","I doubt that she will accept his proposal of marriage"],["lack confidence in or have doubts about","I doubt these reports"]],[]]],
+  dough: [["noun",[["a flour mixture stiff enough to knead or roll"],["informal terms for money"]],["boodle","bread","cabbage","clams","dinero"]]],
+  dowdy: [["noun",[["deep-dish apple dessert covered with a rich crust"],["British marshal of the RAF who commanded the British air defense forces that defeated the Luftwaffe during the Battle of Britain (1882-1970)"]],["pandowdy"]],["adjective",[["lacking in smartness or taste","a dowdy grey outfit"],["primly out of date","nothing so frumpish as last year's gambling game"]],["frumpy","frumpish"]]],
+  dowel: [["noun",[["a fastener that is inserted into holes in two adjacent pieces and holds them together"]],["dowel pin","joggle"]]],
+  downy: [["adjective",[["like down or as soft as down"],["covered with fine soft hairs or down","downy milkweed seeds"]],["downlike","flossy","fluffy","pubescent","puberulent"]]],
+  dowry: [["noun",[["money or property brought by a woman to her husband at marriage"]],["dowery","dower","portion"]]],
+  dozen: [["noun",[["the cardinal number that is the sum of eleven and one"]],["twelve","12"]],["adjective",[["denoting a quantity consisting of 12 items or units"]],["twelve","12","xii"]]],
+  draft: [["noun",[["a document ordering the payment of money; drawn by one person or bank on another"],["a current of air (usually coming into a chimney or room or vehicle)"],["a preliminary sketch of a design or picture"]],["bill of exchange","order of payment","draught","rough drawing"]],["verb",[["draw up an outline or sketch for something","draft a speech"],["engage somebody to enter the army"],["make a blueprint of"]],["outline","enlist","muster in","blueprint","draught"]]],
+  drain: [["verb",[["flow off gradually","The rain water drains into this big vat"],["deplete of resources","The exercise class drains me of energy"],["empty of liquid; drain the liquid from","We drained the oil tank"]],["run out"]],["noun",[["emptying something accomplished by allowing liquid to run out of it"],["tube inserted into a body cavity (as during surgery) to remove unwanted material"],["a pipe through which liquid is carried away"]],["drainage","drainpipe","waste pipe"]]],
+  drake: [["noun",[["adult male of a wild or domestic duck"],["English explorer and admiral who was the first Englishman to circumnavigate the globe and who helped to defeat the Spanish Armada (1540-1596)"]],[]]],
+  drama: [["noun",[["a dramatic work intended for performance by actors on a stage","he wrote several plays but only one was produced on Broadway"],["an episode that is turbulent or highly emotional"],["the literary genre of works intended for the theater"]],["play","dramatic play","dramatic event"]]],
+  drape: [["verb",[["arrange in a particular way","drape a cloth"],["place casually","The cat draped herself on the sofa"],["cover as if with clothing","the mountain was clothed in tropical trees"]],["clothe","cloak","robe"]],["noun",[["hanging cloth used as a blind (especially for a window)"],["the manner in which fabric hangs or falls","she adjusted the drape of her skirt"],["a sterile covering arranged over a patient's body during a medical examination or during surgery in order to reduce the possibility of contamination"]],["curtain","drapery","mantle","pall"]]],
+  drawl: [["noun",[["a slow speech pattern with prolonged vowels"]],[]],["verb",[["lengthen and slow down or draw out","drawl one's vowels"]],[]]],
+  drawn: [["adjective",[["showing the wearing effects of overwork or care or suffering","looking careworn as she bent over her mending"],["having the curtains or draperies closed or pulled shut","the drawn draperies kept direct sunlight from fading the rug"]],["careworn","haggard","raddled","worn"]]],
+  dread: [["noun",[["fearful expectation or anticipation","the student looked around the examination room with apprehension"]],["apprehension","apprehensiveness"]],["verb",[["be afraid or scared of; be frightened of","I fear the winters in Moscow"]],["fear"]],["adjective",[["causing fear or dread or terror","the awful war"]],["awful","dire","direful","dreaded","dreadful"]]],
+  dream: [["noun",[["a series of mental images and emotions occurring during sleep","I had a dream about you last night"],["imaginative thoughts indulged in while awake","he lives in a dream that has nothing to do with reality"],["a cherished desire","his ambition is to own his own business"]],["dreaming","ambition","aspiration"]],["verb",[["have a daydream; indulge in a fantasy"],["experience while sleeping","She claims to never dream"]],["daydream","woolgather","stargaze"]]],
+  dress: [["verb",[["put on clothes","we had to dress quickly"],["provide with clothes or put clothes on","Parents must feed and dress their child"],["put a finish on","dress the surface smooth"]],["get dressed","clothe","enclothe","garb","raiment"]],["noun",[["a one-piece garment for a woman; has skirt and bodice"],["clothing of a distinctive style or for a particular occasion","formal attire"],["clothing in general","she was refined in her choice of apparel"]],["frock","attire","garb","apparel","wearing apparel"]],["adjective",[["suitable for formal occasions","formal wear"],["(of an occasion) requiring formal clothes","a dress dinner"]],["full-dress"]]],
+  dried: [["adjective",[["not still wet","the ink has dried"],["preserved by removing natural moisture","dried beef"]],["dehydrated","desiccated"]]],
+  drier: [["noun",[["a substance that promotes drying (e.g., calcium oxide absorbs water and is used to remove moisture)"],["an appliance that removes moisture"]],["desiccant","drying agent","siccative","dryer"]]],
+  drift: [["verb",[["be in motion due to some air or water current","The leaves were blowing in the wind"],["wander from a direct course or at random","The child strayed from the path and her parents lost sight of her"],["move about aimlessly or without any destination, often in search of food or employment","The gypsies roamed the woods"]],["float","be adrift","blow","stray","err"]],["noun",[["a force that moves something along"],["the gradual departure from an intended course due to external influences (as a ship or plane)"],["a process of linguistic change over a period of time"]],["impetus","impulsion"]]],
+  drill: [["verb",[["make a hole, especially with a pointed power or hand tool","don't drill here, there's a gas pipe"],["train in the military, e.g., in the use of weapons"],["learn by repetition","We drilled French verbs every day"]],["bore","exercise","practice","practise"]],["noun",[["a tool with a sharp point and cutting edges for making holes in hard materials (usually rotating rapidly or by repeated blows)"],["similar to the mandrill but smaller and less brightly colored"],["systematic training by multiple repetitions","practice makes perfect"]],["exercise","practice","practice session","recitation"]]],
+  drink: [["verb",[["take in liquids","The patient must drink several liters each day"],["consume alcohol","We were up drinking all night"],["propose a toast to","Let us toast the birthday girl!"]],["imbibe","hit the bottle","booze","fuddle","toast"]],["noun",[["a single serving of a beverage","I asked for a hot drink"],["the act of drinking alcoholic beverages to excess","drink was his downfall"],["any liquid suitable for drinking","may I take your beverage order?"]],["drinking","boozing","drunkenness","crapulence","beverage"]]],
+  drive: [["verb",[["operate or control a vehicle","drive a car or bus"],["travel or be transported in a vehicle","We drove to the university every morning"],["cause someone or something to move by driving","She drove me to school every day"]],["motor"]],["noun",[["the act of applying force to propel something","after reaching the desired velocity the drive is cut off"],["a mechanism by which force or power is transmitted in a machine","a variable speed drive permitted operation through a range of speeds"],["a series of actions advancing a principle or tending toward a particular end","he supported populist campaigns"]],["thrust","driving force","campaign","cause","crusade"]]],
+  droll: [["adjective",[["comical in an odd or whimsical manner","a droll little man with a quiet tongue-in-cheek kind of humor"]],[]]],
+  drone: [["noun",[["stingless male bee in a colony of social bees (especially honeybees) whose sole function is to mate with the queen"],["an unchanging intonation"],["someone who takes more time than necessary; someone who lags behind"]],["monotone","droning","dawdler","laggard","lagger"]],["verb",[["make a monotonous low dull sound","The harmonium was droning on"],["talk in a monotonous voice"]],["drone on"]]],
+  drool: [["noun",[["pretentious or silly talk or writing"],["saliva spilling from the mouth"]],["baloney","boloney","bilgewater","bosh","humbug"]],["verb",[["be envious, desirous, eager for, or extremely happy about something","She was salivating over the raise she anticipated"],["let saliva drivel from the mouth","The baby drooled"]],["salivate","drivel","slabber","slaver","slobber"]]],
+  droop: [["verb",[["droop, sink, or settle from or as if from pressure or loss of tautness"],["hang loosely or laxly","His tongue lolled"],["become limp","The flowers wilted"]],["sag","swag","flag","loll","wilt"]],["noun",[["a shape that sags","there was a sag in the chair seat"]],["sag"]]],
+  dross: [["noun",[["worthless or dangerous material that should be removed","there were impurities in the water"],["the scum formed by oxidation at the surface of molten metals"]],["impurity","slag","scoria"]]],
+  drove: [["noun",[["a group of animals (a herd or flock) moving together"],["a moving crowd"],["a stonemason's chisel with a broad edge for dressing stone"]],["horde","swarm","drove chisel"]]],
+  drown: [["verb",[["cover completely or make imperceptible","I was drowned in work"],["get rid of as if by submerging","She drowned her trouble in alcohol"],["die from being submerged in water, getting water into the lungs, and asphyxiating","The child drowned in the lake"]],["submerge","overwhelm"]]],
+  druid: [["noun",[["a pre-Christian priest among the Celts of ancient Gaul and Britain and Ireland"]],[]]],
+  drunk: [["adjective",[["stupefied or excited by a chemical substance (especially alcohol)","a noisy crowd of intoxicated sailors"],["as if under the influence of alcohol","felt intoxicated by her success"]],["intoxicated","inebriated","ripped","gone"]],["noun",[["a chronic drinker"],["someone who is intoxicated"]],["drunkard","rummy","sot","inebriate","wino"]]],
+  dryer: [["noun",[["an appliance that removes moisture"]],["drier"]]],
+  dryly: [["adverb",[["in a dry laconic manner","`I know that', he said dryly"]],["laconically","drily"]]],
+  duchy: [["noun",[["the domain controlled by a duke or duchess"]],["dukedom"]]],
+  dully: [["adverb",[["without liveliness","she nodded her head dully"],["without luster or shine","the light shone dully through the haze"]],[]]],
+  dummy: [["noun",[["a person who does not talk"],["an ignorant or foolish person"],["a figure representing the human form"]],["silent person","dumbbell","dope","boob","booby"]],["verb",[["make a dummy of","dummy up the books that are to be published"]],["dummy up"]],["adjective",[["having the appearance of being real but lacking capacity to function","a dummy corporation"]],[]]],
+  dumpy: [["adjective",[["resembling a garbage dump"],["short and thick; as e.g. having short legs and heavy musculature","some people seem born to be square and chunky"],["short and plump"]],["chunky","low-set","squat","squatty","stumpy"]]],
+  dunce: [["noun",[["a stupid person; these words are used to express a low opinion of someone's intelligence"]],["dunderhead","numskull","blockhead","bonehead","lunkhead"]]],
+  dusky: [["adjective",[["lighted by or as if by twilight","The dusky night rides down the sky/And ushers in the morn"],["naturally having skin of a dark color","a dark-skinned beauty"]],["twilight","twilit","dark-skinned","swart","swarthy"]]],
+  dusty: [["adjective",[["covered with a layer of dust","a dusty pile of books"],["lacking originality or spontaneity; no longer new","moth-eaten theories about race"]],["dust-covered","cold","stale","moth-eaten"]]],
+  dutch: [["adjective",[["of or relating to the Netherlands or its people or culture","Dutch painting"]],[]],["noun",[["the people of the Netherlands","the Dutch are famous for their tulips"],["the West Germanic language of the Netherlands"]],[]]],
+  duvet: [["noun",[["a soft quilt usually filled with the down of the eider"]],["eiderdown","continental quilt"]]],
+  dwarf: [["noun",[["a person who is markedly small"],["a legendary creature resembling a tiny old man; lives in the depths of the earth and guards buried treasure"],["a plant or animal that is atypically small"]],["midget","nanus","gnome"]],["verb",[["make appear small by comparison","This year's debt dwarfs that of last year"],["check the growth of","the lack of sunlight dwarfed these pines"]],["shadow","overshadow"]]],
+  dwell: [["verb",[["think moodily or anxiously about something"],["originate (in)","The problems dwell in the social injustices in this country"],["be an inhabitant of or reside in","People lived in Africa millions of years ago"]],["brood","consist","lie","lie in","populate"]]],
+  dying: [["noun",[["the time when something ends","it was the death of all his plans"]],["death","demise"]],["adjective",[["in or associated with the process of passing from life or ceasing to be","a dying man"],["eagerly desirous","anxious to see the new show at the museum"]],["anxious"]]],
+  eager: [["adjective",[["having or showing keen interest or intense desire or impatient expectancy","eager to learn"]],[]],["noun",[["a high wave (often dangerous) caused by tidal flow (as by colliding tidal currents or in a narrow estuary)"]],["tidal bore","bore","eagre","aegir"]]],
+  eagle: [["noun",[["any of various large keen-sighted diurnal birds of prey noted for their broad wings and strong soaring flight"],["(golf) a score of two strokes under par on a hole"],["a former gold coin in the United States worth 10 dollars"]],[]],["verb",[["shoot two strokes under par","She eagled the hole"],["shoot in two strokes under par"]],["double birdie"]]],
+  early: [["adjective",[["at or near the beginning of a period of time or course of events or before the usual or expected time","early morning"],["being or occurring at an early stage of development","in an early stage"],["belonging to the distant past","the early inhabitants of Europe"]],["former","other"]],["adverb",[["during an early stage","early on in her career"],["before the usual time or the time expected","she graduated early"],["in good time","he awoke betimes that morning"]],["early on","ahead of time","too soon","betimes"]]],
+  earth: [["noun",[["the 3rd planet from the sun; the planet we live on","the Earth moves around the sun"],["the loose soft material that makes up a large part of the land surface","they dug into the earth outside the church"],["the solid part of the earth's surface","the plane turned away from the sea and moved back over land"]],["world","globe","ground","land","dry land"]],["verb",[["hide in the earth like a hunted animal"],["connect to the earth","earth the circuit"]],[]]],
+  easel: [["noun",[["an upright tripod for displaying something (usually an artist's canvas)"]],[]]],
+  eater: [["noun",[["someone who consumes food for nourishment"],["any green goods that are good to eat","these apples are good eaters"]],["feeder"]]],
+  ebony: [["noun",[["a very dark black"],["hard dark-colored heartwood of the ebony tree; used in cabinetwork and for piano keys"],["tropical tree of southern Asia having hard dark-colored heartwood used in cabinetwork"]],["coal black","jet black","pitch black","sable","soot black"]],["adjective",[["of a very dark black"]],["ebon"]]],
+  eclat: [["noun",[["enthusiastic approval","the book met with modest acclaim"],["ceremonial elegance and splendor","entered with much eclat in a coach drawn by eight white horses"],["brilliant or conspicuous success or effect","the eclat of a great achievement"]],["acclaim","acclamation","plaudits","plaudit","pomp"]]],
+  edict: [["noun",[["a formal or authoritative proclamation"],["a legally binding command or decision entered on the court record (as if issued by a court or judge)","a friend in New Mexico said that the order caused no trouble out there"]],["decree","fiat","order","rescript"]]],
+  edify: [["verb",[["make understand","Can you enlighten me--I don't understand this proposal"]],["enlighten"]]],
+  eerie: [["adjective",[["suggestive of the supernatural; mysterious","an eerie feeling of deja vu"],["inspiring a feeling of fear; strange and frightening","an uncomfortable and eerie stillness in the woods"]],["eery"]]],
+  egret: [["noun",[["any of various usually white herons having long plumes during breeding season"]],[]]],
+  eight: [["adjective",[["being one more than seven"]],["8","viii"]],["noun",[["the cardinal number that is the sum of seven and one"],["one of four playing cards in a deck with eight pips on the face"],["a group of United States painters founded in 1907 and noted for their realistic depictions of sordid aspects of city life"]],["8","eighter","octad","ogdoad","octonary"]]],
+  eject: [["verb",[["put out or expel from a place","The unruly student was excluded from the game"],["eliminate (a substance)","combustion products are exhausted in the engine"],["leave an aircraft rapidly, using an ejection seat or capsule"]],["chuck out","exclude","turf out","boot out","turn out"]]],
+  elate: [["verb",[["fill with high spirits; fill with optimism","Music can uplift your spirits"]],["lift up","uplift","pick up","intoxicate"]]],
+  elbow: [["noun",[["hinge joint between the forearm and upper arm and the corresponding joint in the forelimb of a quadruped"],["a sharp bend in a road or river"],["a length of pipe with a sharp bend in it"]],["elbow joint","human elbow","cubitus","cubital joint","articulatio cubiti"]],["verb",[["push one's way with the elbows"],["shove one's elbow into another person's ribs"]],[]]],
+  elder: [["noun",[["a person who is older than you are"],["any of numerous shrubs or small trees of temperate and subtropical northern hemisphere having white flowers and berrylike fruit"],["any of various church officers"]],["senior","elderberry bush"]],["adjective",[["used of the older of two persons of the same name especially used to distinguish a father from his son","Bill Adams, Sr."]],["older","sr."]]],
+  elect: [["verb",[["select by a vote for an office or membership","We elected him chairman of the board"],["choose","I elected to have my funds deposited automatically"]],[]],["noun",[["an exclusive group of people","one of the elect who have power inside the government"]],["chosen"]],["adjective",[["selected as the best","an elect circle of artists"],["elected but not yet installed in office","the president elect"]],["elite"]]],
+  elegy: [["noun",[["a mournful poem; a lament for the dead"]],["lament"]]],
+  elfin: [["adjective",[["suggestive of an elf in strangeness and otherworldliness","thunderbolts quivered with elfin flares of heat lightning"],["small and delicate","she was an elfin creature--graceful and delicate"],["relating to or made or done by or as if by an elf","elfin bells"]],["fey","elflike"]]],
+  elide: [["verb",[["leave or strike out","This vowel is usually elided before a single consonant"]],[]]],
+  elite: [["noun",[["a group or class of persons enjoying superior intellectual or social or economic status"]],["elite group"]],["adjective",[["selected as the best","an elect circle of artists"]],["elect"]]],
+  elope: [["verb",[["run away secretly with one's beloved","The young couple eloped and got married in Las Vegas"]],["run off"]]],
+  elude: [["verb",[["escape, either physically or mentally","The thief eluded the police"],["be incomprehensible to; escape understanding by","What you are seeing in him eludes me"],["avoid or try to avoid fulfilling, answering, or performing (duties, questions, or issues)","He dodged the issue"]],["evade","bilk","escape","hedge","fudge"]]],
+  email: [["noun",[["(computer science) a system of world-wide electronic communication in which a computer user can compose a message at one terminal that can be regenerated at the recipient's terminal when the recipient logs in","you cannot send packages by electronic mail"]],["electronic mail","e-mail"]],["verb",[["communicate electronically on the computer","she e-mailed me the good news"]],["e-mail","netmail"]]],
+  embed: [["verb",[["fix or set securely or deeply","He planted a knee in the back of his opponent"],["attach to, as a journalist to a military unit when reporting on a war","The young reporter was embedded with the Third Division"]],["implant","engraft","imbed","plant"]]],
+  ember: [["noun",[["a hot fragment of wood or coal that is left from a fire and is glowing or smoldering"]],["coal"]]],
+  emcee: [["noun",[["a person who acts as host at formal occasions (makes an introductory speech and introduces other speakers)"]],["master of ceremonies","host"]],["verb",[["act as a master of ceremonies"]],["compere"]]],
+  empty: [["verb",[["make void or empty of contents","Empty the box"],["become empty or void of its content","The room emptied"],["leave behind empty; move out of","You must vacate your office by tonight"]],["discharge","vacate","abandon"]],["adjective",[["holding or containing nothing","an empty glass"],["devoid of significance or force","empty promises"],["needing nourishment","after skipped lunch the men were empty by suppertime"]],["hollow","vacuous","empty-bellied"]],["noun",[["a container that has been emptied","return all empties to the store"]],[]]],
+  enact: [["verb",[["order by virtue of superior authority; decree","The King ordained the persecution and expulsion of the Jews"],["act out; represent or perform as if in a play","She reenacted what had happened earlier that day"]],["ordain","reenact","act out"]]],
+  endow: [["verb",[["give qualities or abilities to"],["furnish with an endowment","When she got married, she got dowered"]],["indue","gift","empower","invest","endue"]]],
+  enema: [["noun",[["an injection of a liquid through the anus to stimulate evacuation; sometimes used for diagnostic purposes"]],["clyster"]]],
+  enemy: [["noun",[["an opposing military force","the enemy attacked at dawn"],["an armed adversary (especially a member of an opposing military force)","a soldier must be prepared to kill his enemies"],["any hostile group of people","he viewed lawyers as the real enemy"]],["foe","foeman","opposition"]]],
+  enjoy: [["verb",[["derive or receive pleasure from; get enjoyment from; take pleasure in","She relished her fame and basked in her glory"],["have benefit from","enjoy privileges"],["get pleasure from","I love cooking"]],["bask","relish","savor","savour","love"]]],
+  ennui: [["noun",[["the feeling of being bored by something tedious"]],["boredom","tedium"]]],
+  ensue: [["verb",[["issue or terminate (in a specified way, state, etc.); end","result in tragedy"]],["result"]]],
+  enter: [["verb",[["to come or go into","the boat entered an area of shallow marshes"],["become a participant; be involved in","enter a race"],["register formally as a participant or member","The party recruited many new members"]],["come in","get into","get in","go into","go in"]]],
+  entry: [["noun",[["an item inserted in a written record"],["the act of beginning something new","they looked forward to the debut of their new product line"],["a written record of a commercial transaction"]],["introduction","debut","first appearance","launching","unveiling"]]],
+  envoy: [["noun",[["a diplomat having less authority than an ambassador"],["someone sent on a mission to represent the interests of someone else"],["a brief stanza concluding certain forms of poetry"]],["envoy extraordinary","minister plenipotentiary","emissary","envoi"]]],
+  epoch: [["noun",[["a period marked by distinctive character or reckoned from a fixed point or event"],["(astronomy) an arbitrarily fixed date that is the point in time relative to which information (as coordinates of a celestial body) is recorded"],["a unit of geological time that is a subdivision of a period and is itself divided into ages"]],["era","date of reference"]]],
+  epoxy: [["noun",[["a thermosetting resin; used chiefly in strong adhesives and coatings and laminates"]],["epoxy resin","epoxy glue"]],["verb",[["glue with epoxy","epoxy the shards"]],[]]],
+  equal: [["verb",[["be identical or equivalent to","One dollar equals 1,000 rubles these days!"],["be equal to in quality or ability","Nothing can rival cotton for durability"],["make equal, uniform, corresponding, or matching","let's equalize the duties among all employees in this office"]],["be","touch","rival","match","equalize"]],["noun",[["a person who is of equal standing with another in a group"]],["peer","match","compeer"]],["adjective",[["having the same quantity, value, or measure as another","on equal terms"],["having the requisite qualities or resources to meet a task","she had adequate training"]],["adequate"]]],
+  equip: [["verb",[["provide with (something) usually for a specific purpose","The expedition was equipped with proper clothing, food, and other necessities"],["provide with abilities or understanding","She was never equipped to be a dancer"]],["fit","fit out","outfit"]]],
+  erase: [["verb",[["remove from memory or existence","The Turks erased the Armenians in 1915"],["remove by or as if by rubbing or erasing","Please erase the formula on the blackboard--it is wrong!"],["wipe out digitally or magnetically recorded information","Who erased the files from my hard disk?"]],["wipe out","rub out","score out","efface","wipe off"]]],
+  erect: [["verb",[["construct, build, or erect","Raise a barn"],["cause to rise up"]],["raise","rear","set up","put up"]],["adjective",[["upright in position or posture","an erect stature"],["of sexual organs; stiff and rigid"]],["vertical","upright","tumid"]]],
+  erode: [["verb",[["become ground down or deteriorate","Her confidence eroded"],["remove soil or rock","Rain eroded the terraces"]],["gnaw","gnaw at","eat at","wear away","eat away"]]],
+  error: [["noun",[["a wrong action attributable to bad judgment or ignorance or inattention","he made a bad mistake"],["inadvertent incorrectness"],["a misconception resulting from incorrect information"]],["mistake","fault","erroneousness","erroneous belief"]]],
+  erupt: [["verb",[["start abruptly","After 1989, peace broke out in the former East Bloc"],["erupt or intensify suddenly","Unrest erupted in the country"],["start to burn or burst into flames","Marsh gases ignited suddenly"]],["break out","irrupt","flare up","flare","break open"]]],
+  essay: [["noun",[["an analytic or interpretive literary composition"],["a tentative attempt"]],[]],["verb",[["make an effort or attempt","He tried to shake off his fears"],["put to the test, as for its quality, or give experimental use to","This approach has been tried with good results"]],["try","seek","attempt","assay","test"]]],
+  ester: [["noun",[["organic compound formed by reaction between an acid and an alcohol with elimination of water"]],[]]],
+  ether: [["noun",[["the fifth and highest element after air and earth and fire and water; was believed to be the substance composing all heavenly bodies"],["any of a class of organic compounds that have two hydrocarbon groups linked by an oxygen atom"],["a medium that was once supposed to fill all space and to support the propagation of electromagnetic waves"]],["quintessence","aether"]]],
+  ethic: [["noun",[["the principles of right and wrong that are accepted by an individual or a social group","the Puritan ethic"],["a system of principles governing morality and acceptable conduct"]],["moral principle","value-system","value orientation","ethical code"]]],
+  ethos: [["noun",[["(anthropology) the distinctive spirit of a culture or an era","the Greek ethos"]],[]]],
+  etude: [["noun",[["a short composition for a solo instrument; intended as an exercise or to demonstrate technical virtuosity"]],[]]],
+  evade: [["verb",[["avoid or try to avoid fulfilling, answering, or performing (duties, questions, or issues)","He dodged the issue"],["escape, either physically or mentally","The thief eluded the police"],["practice evasion","This man always hesitates and evades"]],["hedge","fudge","put off","circumvent","parry"]]],
+  event: [["noun",[["something that happens at a given place and time"],["a special set of circumstances","in that event, the first possibility is excluded"],["a phenomenon located at a single point in space-time; the fundamental observational entity in relativity theory"]],["case"]]],
+  every: [["adjective",[["(used of count nouns) each and all of the members of a group considered singly and without exception","every person is mortal"],["each and all of a series of entities or intervals as specified","every third seat"]],[]]],
+  evict: [["verb",[["expel or eject without recourse to legal process","The landlord wanted to evict the tenants so he banged on the pipes every morning at 3 a.m."],["expel from one's property or force to move out by a legal process","The landlord evicted the tenants after they had not paid the rent for four months"]],["force out"]]],
+  evoke: [["verb",[["call forth (emotions, feelings, and responses)","arouse pity"],["evoke or provoke to appear or occur","Her behavior provoked a quarrel between the couple"],["deduce (a principle) or construe (a meaning)","We drew out some interesting linguistic data from the native informant"]],["arouse","elicit","enkindle","kindle","fire"]]],
+  exact: [["adjective",[["marked by strict and particular and complete accordance with fact","an exact mind"],["(of ideas, images, representations, expressions) characterized by perfect conformity to fact or truth; strictly correct","a precise image"]],["accurate","precise"]],["verb",[["claim as due or just","The bank demanded payment of the loan"],["take as an undesirable consequence of some event or state of affairs","the accident claimed three lives"]],["demand","claim","take"]]],
+  exalt: [["verb",[["praise, glorify, or honor","extol the virtues of one's children"],["fill with sublime emotion","The children were thrilled at the prospect of going to the movies"],["heighten or intensify","These paintings exalt the imagination"]],["laud","extol","glorify","proclaim","exhilarate"]]],
+  excel: [["verb",[["distinguish oneself","She excelled in math"]],["stand out","surpass"]]],
+  exert: [["verb",[["put to use","exert one's power or influence"],["have and exercise","wield power and authority"],["make a great effort at a mental or physical task","exert oneself"]],["exercise","wield","maintain"]]],
+  exile: [["verb",[["expel from a country","The poet was exiled because he signed a letter protesting the government's actions"]],["expatriate","deport"]],["noun",[["a person who is voluntarily absent from home or country","American expatriates"],["a person who is expelled from home or country by authority"],["the act of expelling a person from their native land","men in exile dream of hope"]],["expatriate","expat","deportee","deportation","expatriation"]]],
+  exist: [["verb",[["have an existence, be extant","Is there a God?"],["support oneself","he could barely exist on such a low wage"]],["be","survive","live","subsist"]]],
+  expel: [["verb",[["force to leave or move out","He was expelled from his native country"],["remove from a position or office","The chairman was ousted after he misappropriated funds"],["cause to flee","rout out the fighters from their caves"]],["throw out","kick out","oust","drum out","boot out"]]],
+  extol: [["verb",[["praise, glorify, or honor","extol the virtues of one's children"]],["laud","exalt","glorify","proclaim"]]],
+  extra: [["adjective",[["more than is needed, desired, or required","trying to lose excess weight"],["added to a regular schedule","a special holiday flight"],["further or added","called for additional troops"]],["excess","redundant","spare","supererogatory","superfluous"]],["noun",[["a minor actor in crowd scenes"],["an additional edition of a newspaper (usually to report a crisis)"],["something additional of the same kind","he always carried extras in case of an emergency"]],["supernumerary","spear carrier","duplicate"]],["adverb",[["unusually or exceptionally","an extra fast car"]],[]]],
+  exult: [["verb",[["feel extreme happiness or elation"],["to express great joy","Who cannot exult in Spring?"]],["walk on air","be on cloud nine","jump for joy","exuberate","rejoice"]]],
+  fable: [["noun",[["a deliberately false or improbable account"],["a short moral story (often with animal characters)"],["a story about mythical or supernatural beings or events"]],["fabrication","fiction","parable","allegory","apologue"]]],
+  facet: [["noun",[["a distinct feature or element in a problem","he studied every facet of the question"],["a smooth surface (as of a bone or cut gemstone)"]],["aspect"]]],
+  faint: [["adjective",[["deficient in magnitude; barely perceptible; lacking clarity or brightness or loudness etc","a faint outline"],["lacking clarity or distinctness","a dim figure in the distance"],["lacking strength or vigor","damning with faint praise"]],["weak","dim","shadowy","vague","wispy"]],["verb",[["pass out from weakness, physical or emotional distress due to a loss of blood supply to the brain"]],["conk","swoon","pass out"]],["noun",[["a spontaneous loss of consciousness caused by insufficient blood to the brain"]],["swoon","syncope","deliquium"]]],
+  fairy: [["noun",[["a small being, human in form, playful and having magical powers"],["offensive term for a homosexual man"]],["faery","faerie","fay","sprite","fagot"]]],
+  faith: [["noun",[["a strong belief in a supernatural power or powers that control human destiny","he lost his faith but not his morality"],["complete confidence in a person or plan etc","he cherished the faith of a good woman"],["an institution to express belief in a divine power","he was raised in the Baptist religion"]],["religion","religious belief","trust","organized religion"]]],
+  false: [["adjective",[["not in accordance with the fact or reality or actuality","gave false testimony under oath"],["arising from error","a false assumption"],["erroneous and usually accidental","a false start"]],["mistaken"]],["adverb",[["in a disloyal and faithless manner","he behaved treacherously"]],["faithlessly","traitorously","treacherously","treasonably"]]],
+  fancy: [["noun",[["something many people believe that is false","they have the illusion that I am very wealthy"],["imagination or fantasy; held by Coleridge to be more casual and superficial than true imagination","never had the wildest flights of fancy imagined such magnificence"],["a predisposition to like something","he had a fondness for whiskey"]],["illusion","fantasy","phantasy","fondness","partiality"]],["verb",[["imagine; conceive of; see in one's mind","I can't see him on horseback!"],["have a fancy or particular liking or desire for","She fancied a necklace that she had seen in the jeweler's window"]],["visualize","visualise","envision","project","see"]],["adjective",[["not plain; decorative or ornamented","fancy handwriting"]],[]]],
+  fanny: [["noun",[["the fleshy part of the human body that you sit on","he deserves a good kick in the butt"],["external female sex organs","in England `fanny' is vulgar slang for female genitals"]],["buttocks","nates","arse","butt","backside"]]],
+  farce: [["noun",[["a comedy characterized by broad satire and improbable situations"],["mixture of ground raw chicken and mushrooms with pistachios and truffles and onions and parsley and lots of butter and bound with eggs"]],["farce comedy","travesty","forcemeat"]],["verb",[["fill with a stuffing while cooking","Have you stuffed the turkey yet?"]],["stuff"]]],
+  fatal: [["adjective",[["bringing death"],["having momentous consequences; of decisive importance","that fateful meeting of the U.N. when...it declared war on North Korea"],["(of events) having extremely unfortunate or dire consequences; bringing ruin","the stock market crashed on Black Friday"]],["fateful","black","calamitous","disastrous"]]],
+  fatty: [["adjective",[["containing or composed of fat","fatty food"]],["fat"]],["noun",[["a rotund individual"]],["fatso","fat person","roly-poly","butterball"]]],
+  fault: [["noun",[["a wrong action attributable to bad judgment or ignorance or inattention","he made a bad mistake"],["an imperfection in an object or machine","a flaw caused the crystal to shatter"],["the quality of being inadequate or falling short of perfection","they discussed the merits and demerits of her novel"]],["mistake","error","defect","flaw","demerit"]],["verb",[["put or pin the blame on"]],["blame"]]],
+  fauna: [["noun",[["all the animal life in a particular region or period","the fauna of China"],["a living organism characterized by voluntary movement"]],["zoology","animal","animate being","beast","brute"]]],
+  favor: [["verb",[["promote over another","he favors his second daughter"],["consider as the favorite","The local team was favored"],["treat gently or carefully"]],["prefer","favour"]],["noun",[["an act of gracious kindness"],["an advantage to the benefit of someone or something","the outcome was in his favor"],["an inclination to approve","that style is in favor this season"]],["favour"]]],
+  feast: [["noun",[["a ceremonial dinner party for many people"],["something experienced with great delight","a feast for the eyes"],["a meal that is well prepared and greatly enjoyed","a banquet for the graduating seniors"]],["banquet","spread"]],["verb",[["partake in a feast or banquet"],["provide a feast or banquet for"],["gratify","feed one's eyes on a gorgeous view"]],["banquet","junket","feed"]]],
+  fecal: [["adjective",[["of or relating to feces","fecal matter"]],["faecal"]]],
+  feign: [["verb",[["make believe with the intent to deceive","He feigned that he was ill"],["make a pretence of","She assumed indifference, even though she was seething with anger"]],["sham","pretend","affect","dissemble","simulate"]]],
+  fella: [["noun",[["a boy or man","that chap is your host"]],["chap","fellow","feller","lad","gent"]]],
+  felon: [["noun",[["someone who has committed a crime or has been legally convicted of a crime"],["a purulent infection at the end of a finger or toe in the area surrounding the nail"]],["criminal","crook","outlaw","malefactor","whitlow"]]],
+  femur: [["noun",[["the longest and thickest bone of the human skeleton; extends from the pelvis to the knee"]],["thighbone","femoris"]]],
+  fence: [["noun",[["a barrier that serves to enclose an area"],["a dealer in stolen property"]],["fencing"]],["verb",[["enclose with a fence","we fenced in our yard"],["receive stolen goods"],["fight with fencing swords"]],["fence in"]]],
+  feral: [["adjective",[["wild and menacing","a pack of feral dogs"]],["ferine","savage"]]],
+  ferry: [["verb",[["transport from one place to another"],["transport by ferry"],["travel by ferry"]],[]],["noun",[["a boat that transports people or vehicles across a body of water and operates on a regular schedule"],["transport by boat or aircraft"]],["ferryboat","ferrying"]]],
+  fetal: [["adjective",[["of or relating to a fetus","fetal development"]],["foetal"]]],
+  fetch: [["verb",[["go or come after and bring or take back","Get me those books over there, please"],["be sold for a certain price","The painting brought $10,000"],["take away or remove","The devil will fetch you!"]],["bring","get","convey","bring in"]],["noun",[["the action of fetching"]],[]]],
+  fetid: [["adjective",[["offensively malodorous","a foul odor"]],["foetid","foul","foul-smelling","funky","noisome"]]],
+  fetus: [["noun",[["an unborn or unhatched vertebrate in the later stages of development showing the main recognizable features of the mature animal"]],["foetus"]]],
+  fever: [["noun",[["a rise in the temperature of the body; frequently a symptom of infection"],["intense nervous anticipation","in a fever of resentment"]],["febrility","febricity","pyrexia","feverishness"]]],
+  fewer: [["adjective",[["(comparative of `few' used with count nouns) quantifier meaning a smaller number of","fewer birds came this year"]],[]]],
+  fiber: [["noun",[["a slender and greatly elongated substance capable of being spun into yarn"],["coarse, indigestible plant food low in nutrients; its bulk stimulates intestinal peristalsis"],["any of several elongated, threadlike cells (especially a muscle fiber or a nerve fiber)"]],["fibre","roughage"]]],
+  fibre: [["noun",[["a slender and greatly elongated substance capable of being spun into yarn"],["any of several elongated, threadlike cells (especially a muscle fiber or a nerve fiber)"],["the inherent complex of attributes that determines a persons moral and ethical actions and reactions","education has for its object the formation of character"]],["fiber","character"]]],
+  ficus: [["noun",[["large genus of tropical trees or shrubs or climbers including fig trees"]],[]]],
+  field: [["noun",[["a piece of land cleared of trees and usually enclosed","he planted a field of wheat"],["a region where a battle is being (or has been) fought","they made a tour of Civil War battlefields"],["somewhere (away from a studio or office or library or laboratory) where practical work is done or data is collected","anthropologists do much of their work in the field"]],["battlefield","battleground","field of battle","field of honor"]],["verb",[["catch or pick up (balls) in baseball or cricket"],["play as a fielder"],["answer adequately or successfully","The lawyer fielded all questions from the press"]],[]]],
+  fiend: [["noun",[["a cruel wicked and inhuman person"],["an evil supernatural being"],["a person motivated by irrational enthusiasm (as for a cause)","A fanatic is one who can't change his mind and won't change the subject"]],["monster","devil","demon","ogre","daemon"]]],
+  fiery: [["adjective",[["characterized by intense emotion","ardent love"],["like or suggestive of fire","a fiery desert wind"],["very intense","a fiery temper"]],["ardent","fervent","fervid","impassioned","perfervid"]]],
+  fifth: [["noun",[["a quantity of liquor equal to one fifth of a United States gallon"],["position five in a countable series of things","he was fifth out of several hundred runners"],["one part in five equal parts"]],["one-fifth","fifth part","twenty percent"]],["adjective",[["coming next after the fourth and just before the sixth in position"]],["5th"]]],
+  fifty: [["noun",[["the cardinal number that is the product of ten and five"],["a United States bill worth 50 dollars"]],["50","fifty dollar bill"]],["adjective",[["being ten more than forty"]],["50","l"]]],
+  fight: [["verb",[["be engaged in a fight; carry on a fight","the tribesmen fought each other"],["fight against or resist strongly","The senator said he would oppose the bill"],["make a strenuous or labored effort","She struggled for years to survive without welfare"]],["contend","struggle","oppose","fight back","fight down"]],["noun",[["a hostile meeting of opposing military forces in the course of a war","Grant won a decisive victory in the battle of Chickamauga"],["the act of fighting; any contest or struggle","a fight broke out at the hockey game"],["an aggressive willingness to compete","the team was full of fight"]],["battle","conflict","engagement","fighting","combat"]]],
+  filer: [["noun",[["a party who files a notice with a law court"],["a clerk who is employed to maintain the files of an organization"]],["file clerk","filing clerk"]]],
+  filet: [["noun",[["a boneless steak cut from the tenderloin of beef"],["a longitudinal slice or boned side of a fish"],["lace having a square mesh"]],["fillet","fish fillet","fish filet"]],["verb",[["decorate with a lace of geometric designs"],["cut into filets","filet the fish"]],["fillet"]]],
+  filly: [["noun",[["a young female horse under the age of four"]],[]]],
+  filmy: [["adjective",[["so thin as to transmit light","a hat with a diaphanous veil"]],["diaphanous","gauzy","gauze-like","gossamer","see-through"]]],
+  filth: [["noun",[["any substance considered disgustingly foul or unpleasant"],["the state of being covered with unclean things"],["a state characterized by foul or disgusting dirt and refuse"]],["crud","skank","dirt","grime","soil"]]],
+  final: [["adjective",[["occurring at or forming an end or termination","his concluding words came as a surprise"],["conclusive in a process or progression","the final answer"],["not to be altered or undone","the judge's decision is final"]],["concluding","last","terminal","net"]],["noun",[["the final match between the winners of all previous matches in an elimination tournament"],["an examination administered at the end of an academic term"]],["final examination","final exam"]]],
+  finch: [["noun",[["any of numerous small songbirds with short stout bills adapted for crushing seeds"]],[]]],
+  finer: [["adjective",[["(comparative of `fine') greater in quality or excellence","a finer wine"]],[]]],
+  first: [["adjective",[["preceding all others in time or space or degree","the first house on the right"],["indicating the beginning unit in a series"],["serving to set in motion","the magazine's inaugural issue"]],["1st","inaugural","initiative","initiatory","maiden"]],["noun",[["the first or highest in an ordering or series","He wanted to be the first"],["the first element in a countable series","the first of the month"],["the time at which something is supposed to begin","they got an early start"]],["number one","number 1","beginning","commencement","outset"]],["adverb",[["before anything else","first we must consider the garter snake"],["the initial time","when Felix first saw a garter snake"],["before another in time, space, or importance","I was here first"]],["firstly","foremost","first of all","first off"]]],
+  fishy: [["adjective",[["of or relating to or resembling fish","the soup had a fishy smell"],["not as expected","there was something fishy about the accident"]],["funny","shady","suspect","suspicious"]]],
+  fixer: [["noun",[["someone who intervenes with authorities for a person in trouble (usually using underhand or illegal methods for a fee)"],["a chemical compound that sets or fixes something (as a dye or a photographic image)"],["a skilled worker who mends or repairs things"]],["influence peddler","fixing agent","mender","repairer"]]],
+  fizzy: [["adjective",[["hissing and bubbling"]],["fizzing"]]],
+  fjord: [["noun",[["a long narrow inlet of the sea between steep cliffs; common in Norway"]],["fiord"]]],
+  flack: [["noun",[["a slick spokesperson who can turn any criticism to the advantage of their employer"],["intense adverse criticism","Clinton directed his fire at the Republican Party"],["artillery designed to shoot upward at airplanes"]],["flak catcher","flak","flack catcher","fire","attack"]]],
+  flail: [["noun",[["an implement consisting of handle with a free swinging stick at the end; used in manual threshing"]],[]],["verb",[["give a thrashing to; beat hard"],["move like a flail; thresh about","Her arms were flailing"]],["thrash","thresh","lam"]]],
+  flair: [["noun",[["a natural talent","he has a flair for mathematics"],["distinctive and stylish elegance","he wooed her with the confident dash of a cavalry officer"],["a shape that spreads outward","the skirt had a wide flare"]],["genius","dash","elan","panache","style"]]],
+  flake: [["verb",[["form into flakes","The substances started to flake"],["cover with flakes or as if with flakes"],["come off in flakes or thin small pieces","The paint in my house is peeling off"]],["peel off","peel","flake off"]],["noun",[["a crystal of snow"],["a person with an unusual or odd personality"],["a small fragment of something broken off from the whole","a bit of rock caught him in the eye"]],["snowflake","eccentric","eccentric person","oddball","geek"]]],
+  flaky: [["adjective",[["made of or resembling flakes","flaky soap"],["made of or easily forming flakes"],["conspicuously or grossly unconventional or unusual","restaurants of bizarre design--one like a hat, another like a rabbit"]],["flakey","bizarre","eccentric","freakish","freaky"]]],
+  flame: [["noun",[["the process of combustion of inflammable materials producing heat and light and (often) smoke","fire was one of our ancestors' first discoveries"]],["fire","flaming"]],["verb",[["shine with a sudden light","The night sky flared with the massive bombardment"],["be in flames or aflame","The sky seemed to flame in the Hawaiian sunset"],["criticize harshly, usually via an electronic medium","the person who posted an inflammatory message got flamed"]],["flare"]]],
+  flank: [["noun",[["the side of military or naval formation","they attacked the enemy's right flank"],["a subfigure consisting of a side of something"],["a cut from the fleshy part of an animal's side between the ribs and the leg"]],["wing"]],["verb",[["be located at the sides of something or somebody"]],[]]],
+  flare: [["noun",[["a shape that spreads outward","the skirt had a wide flare"],["a sudden burst of flame"],["a burst of light used to communicate or illuminate"]],["flair","flash"]],["verb",[["burn brightly","Every star seemed to flare with new intensity"],["become flared and widen, usually at one end","The bellbottom pants flare out"],["shine with a sudden light","The night sky flared with the massive bombardment"]],["flame up","blaze up","burn up","flare out","flame"]]],
+  flash: [["verb",[["gleam or glow intermittently","The lights were flashing"],["appear briefly","The headlines flashed on the screen"],["display proudly; act ostentatiously or pretentiously","he showed off his new sports car"]],["blink","wink","twinkle","winkle","flaunt"]],["noun",[["a sudden intense burst of radiant energy"],["a momentary brightness"],["a short vivid experience","a flash of emotion swept over him"]],["flashing"]],["adjective",[["tastelessly showy","a flash car"]],["brassy","cheap","flashy","garish","gaudy"]]],
+  flask: [["noun",[["bottle that has a narrow neck"],["the quantity a flask will hold"]],["flaskful"]]],
+  fleck: [["noun",[["a small fragment of something broken off from the whole","a bit of rock caught him in the eye"],["a small contrasting part of something","a bald spot"]],["bit","chip","flake","scrap","spot"]],["verb",[["make a spot or mark onto","The wine spotted the tablecloth"]],["spot","blob","blot"]]],
+  fleet: [["noun",[["group of aircraft operating together under the same ownership"],["group of motor vehicles operating together under the same ownership"],["a group of steamships operating together under the same ownership"]],[]],["adjective",[["moving very fast","fleet of foot"]],["swift"]],["verb",[["move along rapidly and lightly; skim or dart","The hummingbird flitted among the branches"],["disappear gradually","The pain eventually passed off"]],["flit","flutter","dart","evanesce","fade"]]],
+  flesh: [["noun",[["the soft tissue of the body of a vertebrate: mainly muscle tissue and fat"],["alternative names for the body of a human being","Leonardo studied the human body"],["a soft moist part of a fruit"]],["human body","physical body","material body","soma","build"]],["verb",[["remove adhering flesh from (hides) when preparing leather manufacture"]],[]]],
+  flick: [["verb",[["flash intermittently","The lights flicked on and off"],["look through a book or other written material","He thumbed through the report"],["cause to move with a flick","he flicked his Bic"]],["flicker","flip","thumb","riffle","leaf"]],["noun",[["a light sharp contact (usually with something flexible)","he gave it a flick with his finger"],["a short stroke"],["a form of entertainment that enacts a story by sound and a sequence of images giving the illusion of continuous movement","they went to a movie every Saturday night"]],["movie","film","picture","moving picture","moving-picture show"]]],
+  flier: [["noun",[["someone who travels by air"],["someone who operates an aircraft"],["an advertisement (usually printed on a page or in a leaflet) intended for wide distribution","he mailed the circular to all subscribers"]],["flyer","aviator","aeronaut","airman","circular"]]],
+  fling: [["verb",[["throw with force or recklessness","fling the frisbee"],["move in an abrupt or headlong manner","He flung himself onto the sofa"],["indulge oneself","I splurged on a new TV"]],["splurge"]],["noun",[["a usually brief attempt","he took a crack at it"],["a brief indulgence of your impulses"],["the act of flinging"]],["crack","go","pass","whirl","offer"]]],
+  flint: [["noun",[["a hard kind of stone; a form of silica more opaque than chalcedony"],["a river in western Georgia that flows generally south to join the Chattahoochee River at the Florida border where they form the Apalachicola River"],["a city in southeast central Michigan near Detroit; automobile manufacturing"]],[]],["adjective",[["showing unfeeling resistance to tender feelings","his flinty gaze"]],["flinty","granitic","obdurate","stony"]]],
+  flirt: [["verb",[["talk or behave amorously, without serious intentions","The guys always try to chat up the new secretaries"],["behave carelessly or indifferently","Play about with a young girl's affection"]],["chat up","dally","butterfly","coquet","coquette"]],["noun",[["a seductive woman who uses her sex appeal to exploit men"],["playful behavior intended to arouse sexual interest"]],["coquette","vamp","vamper","minx","tease"]]],
+  float: [["verb",[["be in motion due to some air or water current","The leaves were blowing in the wind"],["be afloat either on or below a liquid surface and not sink to the bottom"],["set afloat","He floated the logs down the river"]],["drift","be adrift","blow","swim"]],["noun",[["the time interval between the deposit of a check in a bank and its payment"],["the number of shares outstanding and available for trading by the public"],["a drink with ice cream floating in it"]],["ice-cream soda","ice-cream float"]]],
+  flock: [["noun",[["a church congregation guided by a pastor"],["a group of birds"],["(often followed by `of') a large number or amount or extent","a batch of letters"]],["batch","deal","good deal","great deal","hatful"]],["verb",[["move as a crowd or in a group","Tourists flocked to the shrine where the statue was said to have shed tears"],["come together as in a cluster or flock","The poets constellate in this town every summer"]],["cluster","constellate","clump"]]],
+  flood: [["noun",[["the rising of a body of water and its overflowing onto normally dry land","plains fertilized by annual inundations"],["an overwhelming number or amount","a flood of requests"],["light that is a source of artificial illumination having a broad beam; used in photography"]],["inundation","deluge","alluvion","torrent","floodlight"]],["verb",[["fill quickly beyond capacity; as with a liquid","the basement was inundated after the storm"],["cover with liquid, usually water","The swollen river flooded the village"],["supply with an excess of","flood the market with tennis shoes"]],["deluge","inundate","swamp","oversupply","glut"]]],
+  floor: [["noun",[["the inside lower horizontal surface (as of a room, hallway, tent, or other structure)","they needed rugs to cover the bare floors"],["a structure consisting of a room or set of rooms at a single position along a vertical scale","what level is the office on?"],["a lower limit","the government established a wage floor"]],["flooring","level","storey","story","base"]],["verb",[["surprise greatly; knock someone's socks off","I was floored when I heard that I was promoted"],["knock down with force","He decked his opponent"]],["shock","ball over","blow out of the water","take aback","deck"]]],
+  flora: [["noun",[["all the plant life in a particular region or period","Pleistocene vegetation"],["(botany) a living organism lacking the power of locomotion"]],["vegetation","botany","plant","plant life"]]],
+  floss: [["noun",[["a soft loosely twisted thread used in embroidery"],["a soft thread for cleaning the spaces between the teeth"]],["dental floss"]],["verb",[["use dental floss to clean","floss your teeth after every meal"]],[]]],
+  flour: [["noun",[["fine powdery foodstuff obtained by grinding and sifting the meal of a cereal grain"]],[]],["verb",[["cover with flour","flour fish or meat before frying it"],["convert grain into flour"]],[]]],
+  flout: [["verb",[["treat with contemptuous disregard","flout the rules"],["laugh at with contempt and derision","The crowd jeered at the speaker"]],["scoff","jeer","barrack","gibe"]]],
+  fluff: [["noun",[["any light downy material"],["something of little value or significance"],["a blunder (especially an actor's forgetting the lines)"]],["bagatelle","frippery","frivolity"]],["verb",[["make a mess of, destroy or ruin","I botched the dinner and we had to eat out"],["erect or fluff up","the bird ruffled its feathers"],["ruffle (one's hair) by combing the ends towards the scalp, for a full effect"]],["botch","bodge","bumble","fumble","botch up"]]],
+  fluid: [["noun",[["a substance that is fluid at room temperature and pressure"],["continuous amorphous matter that tends to flow and to conform to the outline of its container: a liquid or a gas"]],[]],["adjective",[["subject to change; variable","a fluid situation fraught with uncertainty"],["characteristic of a fluid; capable of flowing and easily changing shape"],["smooth and unconstrained in movement","a long, smooth stride"]],["unstable","runny","fluent","liquid","smooth"]]],
+  fluke: [["noun",[["a stroke of luck"],["a barb on a harpoon or arrow"],["flat bladelike projection on the arm of an anchor"]],["good luck","good fortune","flue"]]],
+  flume: [["noun",[["a narrow gorge with a stream running through it"],["watercourse that consists of an open artificial chute filled with water for power or for carrying logs"]],["gulch"]]],
+  flunk: [["noun",[["failure to reach a minimum required performance","his failing the course led to his disqualification"]],["failing"]],["verb",[["fail to get a passing grade","She studied hard but failed nevertheless"]],["fail","bomb","flush it"]]],
+  flush: [["noun",[["the period of greatest prosperity or productivity"],["a rosy color (especially in the cheeks) taken as a sign of good health"],["sudden brief sensation of heat (associated with menopause and some mental disorders)"]],["flower","prime","peak","heyday","bloom"]],["verb",[["turn red, as if in embarrassment or shame","The girl blushed when a young man whistled as she walked by"],["flow freely","The garbage flushed down the river"],["glow or cause to glow with warm color or light","the sky flushed with rosy splendor"]],["blush","crimson","redden"]],["adjective",[["of a surface exactly even with an adjoining one, forming the same plane","a door flush with the wall"],["having an abundant supply of money or possessions of value","an affluent banker"]],["affluent","loaded","moneyed","wealthy","substantial"]],["adverb",[["squarely or solidly","hit him flush in the face"],["in the same plane","set it flush with the top of the table"]],[]]],
+  flute: [["noun",[["a high-pitched woodwind instrument; a slender tube closed at one end with finger holes on one end and an opening near the closed end across which the breath is blown"],["a tall narrow wineglass"],["a groove or furrow in cloth etc (particularly a shallow concave groove on the shaft of a column)"]],["transverse flute","flute glass","champagne flute","fluting"]],["verb",[["form flutes in"]],[]]],
+  flyer: [["noun",[["an advertisement (usually printed on a page or in a leaflet) intended for wide distribution","he mailed the circular to all subscribers"],["someone who travels by air"],["someone who operates an aircraft"]],["circular","handbill","bill","broadside","broadsheet"]]],
+  foamy: [["adjective",[["producing or covered with lathery sweat or saliva from exhaustion or disease","the rabid animal's frothing mouth"],["emitting or filled with bubbles as from carbonation or fermentation","bubbling champagne"]],["foaming","frothing","bubbling","bubbly","frothy"]]],
+  focal: [["adjective",[["having or localized centrally at a focus","focal point"],["of or relating to a focus","focal length"]],[]]],
+  focus: [["noun",[["the concentration of attention or energy on something","the focus of activity shifted to molecular biology"],["maximum clarity or distinctness of an image rendered by an optical system","in focus"],["maximum clarity or distinctness of an idea","the controversy brought clearly into focus an important difference of opinion"]],["focusing","focussing","focal point","direction","centering"]],["verb",[["direct one's attention on something","Please focus on your studies and not on your hobbies"],["cause to converge on or toward a central point","Focus the light on this image"],["bring into focus or alignment; to converge or cause to converge; of ideas or emotions"]],["concentrate","center","centre","pore","rivet"]]],
+  foggy: [["adjective",[["stunned or confused and slow to react (as from blows or drunkenness or exhaustion)"],["indistinct or hazy in outline","a landscape of blurred outlines"],["filled or abounding with fog or mist","a brumous October morning"]],["dazed","groggy","logy","stuporous","bleary"]]],
+  foist: [["verb",[["to force onto another","He foisted his work on me"],["insert surreptitiously or without warrant"]],[]]],
+  folio: [["noun",[["the system of numbering pages"],["a sheet of any written or printed material (especially in a manuscript or book)"],["a book (or manuscript) consisting of large sheets of paper folded in the middle to make two leaves or four pages","the first folio of Shakespeare's plays"]],["pagination","page number","paging","leaf"]]],
+  folly: [["noun",[["the trait of acting stupidly or rashly"],["a stupid mistake"],["the quality of being rash and foolish","trying to drive through a blizzard is the height of folly"]],["foolishness","unwiseness","stupidity","betise","imbecility"]]],
+  foray: [["noun",[["a sudden short attack"],["an initial attempt (especially outside your usual areas of competence)","scientists' forays into politics"]],["raid","maraud"]],["verb",[["steal goods; take as spoils","During the earthquake people looted the stores that were deserted by their owners"],["briefly enter enemy territory"]],["plunder","despoil","loot","reave","strip"]]],
+  force: [["noun",[["a powerful effect or influence","the force of his eloquence easily persuaded them"],["(physics) the influence that produces a change in a physical quantity","force equals mass times acceleration"],["physical energy or intensity","he hit with all the force he could muster"]],["forcefulness","strength"]],["verb",[["to cause to do through pressure or necessity, by physical, moral or intellectual means","She forced him to take a job in the city"],["urge or force (a person) to an action; constrain or motivate"],["move with force","He pushed the table into a corner"]],["coerce","hale","squeeze","pressure","impel"]]],
+  forge: [["verb",[["create by hammering","hammer the silver into a bowl"],["make a copy of with the intent to deceive","he faked the signature"],["come up with (an idea, plan, explanation, theory, or principle) after a mental effort","excogitate a way to measure the speed of light"]],["hammer","fake","counterfeit","invent","contrive"]],["noun",[["furnace consisting of a special hearth where metal is heated before shaping"],["a workplace where metal is worked by heating and hammering"]],["smithy"]]],
+  forgo: [["verb",[["do without or cease to hold or adhere to","We are dispensing with formalities"],["be earlier in time; go back further","Stone tools precede bronze tools"],["lose (s.th.) or lose the right to (s.th.) by some error, offense, or crime","you've forfeited your right to name your successor"]],["waive","relinquish","forego","foreswear","dispense with"]]],
+  forte: [["noun",[["an asset of special worth or utility","cooking is his forte"],["a musical composition or musical passage to be performed loudly"],["the stronger part of a sword blade between the hilt and the foible"]],["strong suit","long suit","metier","specialty","speciality"]],["adjective",[["(used chiefly as a direction or description in music) loud; with force","the forte passages in the composition"]],["loud"]],["adverb",[["used as a direction in music; to be played relatively loudly"]],["loudly"]]],
+  forth: [["adverb",[["from a particular thing or place or position (`forth' is obsolete)","ran away from the lion"],["forward in time or order or degree","from that time forth"],["out into view","came forth from the crowd"]],["away","off","forward","onward"]],["noun",[["a river in southern Scotland that flows eastward to the Firth of Forth"]],[]]],
+  forty: [["adjective",[["being ten more than thirty"]],["40","xl","twoscore"]],["noun",[["the cardinal number that is the product of ten and four"]],["40"]]],
+  forum: [["noun",[["a public meeting or assembly for open discussion"],["a public facility to meet for open discussion"]],["assembly","meeting place"]]],
+  found: [["verb",[["set up or found","She set up a literacy program"],["set up or lay the groundwork for","establish a new department"],["use as a basis for; found on","base a claim on some observation"]],["establish","set up","launch","plant","constitute"]],["noun",[["food and lodging provided in addition to money","they worked for $30 and found"]],[]],["adjective",[["come upon unexpectedly or after searching","found art"]],[]]],
+  foyer: [["noun",[["a large entrance or reception room or area"]],["anteroom","antechamber","entrance hall","hall","lobby"]]],
+  frail: [["adjective",[["physically weak","an invalid's frail body"],["wanting in moral strength, courage, or will; having the attributes of man as opposed to e.g. divine beings","I'm only a fallible human"],["easily broken or damaged or destroyed","a kite too delicate to fly safely"]],["fallible","imperfect","weak","delicate","fragile"]],["noun",[["the weight of a frail (basket) full of raisins or figs; between 50 and 75 pounds"],["a basket for holding dried fruit (especially raisins or figs)"]],[]]],
+  frame: [["verb",[["enclose in or as if in a frame","frame a picture"],["enclose in a frame, as of a picture"],["take or catch as if in a snare or trap","I was set up!"]],["frame in","border","ensnare","entrap","set up"]],["noun",[["the framework for a pair of eyeglasses"],["a single one of a series of still transparent pictures forming a cinema, television or video film"],["alternative names for the body of a human being","Leonardo studied the human body"]],["human body","physical body","material body","soma","build"]]],
+  frank: [["adjective",[["characterized by directness in manner or speech; without subtlety or evasion","blunt talking and straight shooting"],["clearly manifest; evident","frank enjoyment"]],["blunt","candid","forthright","free-spoken","outspoken"]],["noun",[["a smooth-textured sausage of minced beef or pork usually smoked; often served on a bread roll"],["a member of the ancient Germanic peoples who spread from the Rhine into the Roman Empire in the 4th century"]],["frankfurter","hotdog","hot dog","dog","wiener"]],["verb",[["stamp with a postmark to indicate date and time of mailing"],["exempt by means of an official pass or letter, as from customs or other checks"]],["postmark"]]],
+  fraud: [["noun",[["intentional deception resulting in injury to another person"],["a person who makes deceitful pretenses"],["something intended to deceive; deliberate trickery intended to gain an advantage"]],["imposter","impostor","pretender","fake","faker"]]],
+  freak: [["noun",[["a person or animal that is markedly unusual or deformed"],["someone who is so ardently devoted to something that it resembles an addiction","a golf addict"]],["monster","monstrosity","lusus naturae","addict","nut"]],["verb",[["lose one's nerve","When he saw the accident, he freaked out"]],["freak out","gross out"]]],
+  fresh: [["adjective",[["recently made, produced, or harvested","fresh bread"],["(of a cycle) beginning or occurring again","a fresh start"],["imparting vitality and energy","the bracing mountain air"]],["bracing","brisk","refreshing","refreshful","tonic"]],["adverb",[["very recently","they are newly married"]],["newly","freshly","new"]]],
+  friar: [["noun",[["a male member of a religious order that originally relied solely on alms"]],["mendicant"]]],
+  fried: [["adjective",[["cooked by frying in fat"]],["deep-fried"]]],
+  frill: [["noun",[["(paleontology) a bony plate that curves upward behind the skull of many ceratopsian dinosaurs"],["an external body part consisting of feathers or hair about the neck of a bird or other animal"],["a strip of pleated material used as a decoration or a trim"]],["ruff","flounce","ruffle","furbelow"]]],
+  frisk: [["noun",[["the act of searching someone for concealed weapons or illegal drugs","he gave the suspect a quick frisk"]],["frisking"]],["verb",[["play boisterously","The children frolicked in the garden"],["search as for concealed weapons by running the hands rapidly over the clothing and through the pockets","The police frisked everyone at the airport"]],["frolic","lark","rollick","skylark","disport"]]],
+  frock: [["noun",[["a long, loose outer garment"],["a habit worn by clerics"],["a one-piece garment for a woman; has skirt and bodice"]],["dress"]],["verb",[["put a frock on"]],[]]],
+  frond: [["noun",[["compound leaf of a fern or palm or cycad"]],[]]],
+  front: [["noun",[["the side that is forward or prominent"],["the line along which opposing armies face each other"],["the outward appearance of a person","he put up a bold front"]],["front end","forepart","battlefront","front line"]],["verb",[["be oriented in a certain direction, often with respect to another reference point; be opposite to","The house looks north"],["confront bodily","breast the storm"]],["look","face","breast"]],["adjective",[["relating to or located in the front","the front lines"]],[]]],
+  frost: [["noun",[["ice crystals forming a white deposit (especially on objects outside)"],["weather cold enough to cause freezing"],["the formation of frost or ice on a surface"]],["hoar","hoarfrost","rime","freeze","icing"]],["verb",[["decorate with frosting","frost a cake"],["provide with a rough or speckled surface or appearance","frost the glass"],["cover with frost","ice crystals frosted the glass"]],["ice"]]],
+  froth: [["noun",[["a mass of small bubbles formed in or on a liquid","the beer had a thick head of foam"]],["foam"]],["verb",[["become bubbly or frothy or foaming","The boiling soup was frothing"],["make froth or foam and become bubbly","The river foamed"],["exude or expel foam","the angry man was frothing at the mouth"]],["foam","fizz","effervesce","sparkle","form bubbles"]]],
+  frown: [["verb",[["look angry or sullen, wrinkle one's forehead, as if to signal disapproval"]],["glower","lour","lower"]],["noun",[["a facial expression of dislike or displeasure"]],["scowl"]]],
+  fruit: [["noun",[["the ripened reproductive body of a seed plant"],["an amount of a product"],["the consequence of some effort or action","he lived long enough to see the fruit of his policies"]],["yield"]],["verb",[["cause to bear fruit"],["bear fruit","the trees fruited early this year"]],[]]],
+  fudge: [["noun",[["soft creamy candy"]],[]],["verb",[["tamper, with the purpose of deception","Fudge the figures"],["avoid or try to avoid fulfilling, answering, or performing (duties, questions, or issues)","He dodged the issue"]],["manipulate","fake","falsify","cook","wangle"]]],
+  fugue: [["noun",[["dissociative disorder in which a person forgets who they are and leaves home to create a new life; during the fugue there is no memory of the former life; after recovering there is no memory for events during the dissociative state"],["a dreamlike state of altered consciousness that may last for hours or days"],["a musical form consisting of a theme repeated a fifth above or a fourth below its first statement"]],["psychogenic fugue"]]],
+  fully: [["adverb",[["to the greatest degree or extent; completely or entirely; (`full' in this sense is used as a combining form)","fully grown"],["sufficiently; more than adequately","the evidence amply (or fully) confirms our suspicions"],["referring to a quantity","the amount was paid in full"]],["to the full","full","amply","in full"]]],
+  fungi: [["noun",[["the taxonomic kingdom including yeast, molds, smuts, mushrooms, and toadstools; distinct from the green plants"]],["fungus kingdom"]]],
+  funky: [["adjective",[["offensively malodorous","a foul odor"],["(of jazz) having the soulful feeling of early blues"],["stylish and modern in an unconventional way","she likes funky clothes"]],["fetid","foetid","foul","foul-smelling","noisome"]]],
+  funny: [["adjective",[["arousing or provoking laughter","an amusing film with a steady stream of pranks and pratfalls"],["beyond or deviating from the usual or expected","a curious hybrid accent"],["not as expected","there was something fishy about the accident"]],["amusing","comic","comical","laughable","mirthful"]],["noun",[["an account of an amusing incident (usually with a punch line)","she told a funny story"]],["funny story","good story","funny remark"]]],
+  furor: [["noun",[["an interest followed with exaggerated zeal","he always follows the latest fads"],["a sudden outburst (as of protest)"]],["fad","craze","furore","cult","rage"]]],
+  furry: [["adjective",[["covered with a dense coat of fine silky hairs","furred animals"]],["furred"]]],
+  fussy: [["adjective",[["annoyed and irritable"],["overcrowded or cluttered with detail","a busy painting"],["exacting especially about details","a finicky eater"]],["crabbed","crabby","cross","grouchy","grumpy"]]],
+  fuzzy: [["adjective",[["covering with fine light hairs","his head fuzzed like a dandelion gone to seed"],["indistinct or hazy in outline","a landscape of blurred outlines"],["confused and not coherent; not clearly thought out","a vague and fuzzy idea of the world of finance"]],["fuzzed","bleary","blurred","blurry","foggy"]]],
+  gaffe: [["noun",[["a socially awkward or tactless act"]],["faux pas","solecism","slip","gaucherie"]]],
+  gaily: [["adverb",[["in a gay manner","the scandals were gaily diverting"]],[]]],
+  gamma: [["noun",[["the 3rd letter of the Greek alphabet"],["a unit of magnetic field strength equal to one-hundred-thousandth of an oersted"],["Portuguese navigator who led an expedition around the Cape of Good Hope in 1497; he sighted and named Natal on Christmas Day before crossing the Indian Ocean (1469-1524)"]],[]]],
+  gamut: [["noun",[["a complete extent or range: \"a face that expressed a gamut of emotions\""],["the entire scale of musical notes"]],[]]],
+  gassy: [["adjective",[["resembling gas"],["suffering from excessive gas in the alimentary canal"]],["colicky","flatulent"]]],
+  gaudy: [["adjective",[["tastelessly showy","a flash car"],["(used especially of clothes) marked by conspicuous display"]],["brassy","cheap","flash","flashy","garish"]],["noun",[["(Britain) a celebratory reunion feast or entertainment held a college"]],[]]],
+  gauge: [["noun",[["a measuring instrument for measuring and indicating a quantity such as the thickness of wire or the amount of rain etc."],["accepted or approved instance or example of a quantity or quality against which others are judged or measured or compared"],["the distance between the rails of a railway or between the wheels of a train"]],["gage","standard of measurement"]],["verb",[["judge tentatively or form an estimate of (quantities or time)","I estimate this chicken to weigh three pounds"],["rub to a uniform size","gauge bricks"],["determine the capacity, volume, or contents of by measurement and calculation","gauge the wine barrels"]],["estimate","approximate","guess","judge"]]],
+  gaunt: [["adjective",[["very thin especially from disease or hunger or cold","a nightmare population of gaunt men and skeletal boys"]],["cadaverous","emaciated","haggard","pinched","skeletal"]]],
+  gauze: [["noun",[["(medicine) bleached cotton cloth of plain weave used for bandages and dressings"],["a net of transparent fabric with a loose open weave"]],["gauze bandage","netting","veiling"]]],
+  gavel: [["noun",[["a small mallet used by a presiding officer or a judge"]],[]]],
+  gawky: [["adjective",[["lacking grace in movement or posture","a gawky lad with long ungainly legs"]],["clumsy","clunky","ungainly","unwieldy"]]],
+  gayly: [["adverb",[["in a joyous manner","they shouted happily"]],["happily","merrily","mirthfully","blithely","jubilantly"]]],
+  gecko: [["noun",[["any of various small chiefly tropical and usually nocturnal insectivorous terrestrial lizards typically with immovable eyelids; completely harmless"]],[]]],
+  genie: [["noun",[["(Islam) an invisible spirit mentioned in the Koran and believed by Muslims to inhabit the earth and influence mankind by appearing in the form of humans or animals"]],["jinni","jinnee","djinni","djinny","djinn"]]],
+  genre: [["noun",[["a kind of literary or artistic work"],["a style of expressing yourself in writing"],["an expressive style of music"]],["writing style","literary genre","music genre","musical genre","musical style"]]],
+  ghost: [["noun",[["a mental representation of some haunting experience","he looked like he had seen a ghost"],["a writer who gives the credit of authorship to someone else"],["the visible disembodied soul of a dead person"]],["shade","spook","wraith","specter","spectre"]],["verb",[["move like a ghost","The masked men ghosted across the moonlit yard"],["haunt like a ghost; pursue","Fear of illness haunts her"],["write for someone else","How many books have you ghostwritten so far?"]],["haunt","obsess","ghostwrite"]]],
+  ghoul: [["noun",[["someone who takes bodies from graves and sells them for anatomical dissection"],["an evil spirit or ghost"]],["graverobber","body snatcher"]]],
+  giant: [["noun",[["any creature of exceptional size"],["a person of exceptional importance and reputation"],["an unusually large enterprise","Walton built a retail giant"]],["colossus","behemoth","heavyweight","titan"]],["adjective",[["of great mass; huge and bulky","a jumbo jet"]],["elephantine","gargantuan","jumbo"]]],
+  giddy: [["adjective",[["having or causing a whirling sensation; liable to falling","had a dizzy spell"],["lacking seriousness; given to frivolity","a dizzy blonde"]],["dizzy","woozy","vertiginous","airheaded","empty-headed"]]],
+  gipsy: [["noun",[["a laborer who moves from place to place as demanded by employment","itinerant traders"],["a person who resembles a Gypsy in leading an unconventional, nomadic way of life"],["a member of a people with dark skin and hair who speak Romany and who traditionally live by seasonal work and fortunetelling; they are believed to have originated in northern India but now are living on all continents (but mostly in Europe, North Africa, and North America)"]],["itinerant","gypsy"]]],
+  girth: [["noun",[["the distance around a person's body"],["stable gear consisting of a band around a horse's belly that holds the saddle in place"]],["cinch"]],["verb",[["tie a cinch around","cinch horses"]],["cinch"]]],
+  given: [["adjective",[["acknowledged as a supposition","given the engine's condition, it is a wonder that it started"],["(usually followed by `to') naturally disposed toward","he is apt to ignore matters he considers unimportant"]],["granted","apt","disposed","minded","tending"]],["noun",[["an assumption that is taken for granted"]],["presumption","precondition"]]],
+  giver: [["noun",[["someone who devotes himself completely","there are no greater givers than those who give themselves"],["person who makes a gift of property"]],["donor","presenter","bestower","conferrer"]]],
+  glade: [["noun",[["a tract of land with few or no trees in the middle of a wooded area"]],["clearing"]]],
+  gland: [["noun",[["any of various organs that synthesize substances needed by the body and release it through ducts or directly into the bloodstream"]],["secretory organ","secretor","secreter"]]],
+  glare: [["noun",[["a light within the field of vision that is brighter than the brightness to which the eyes are adapted","a glare of sunlight"],["an angry stare"],["a focus of public attention","he enjoyed being in the limelight"]],["blaze","brilliance","glower","limelight","spotlight"]],["verb",[["look at with a fixed gaze","The girl glared at the man who tried to make a pass at her"],["be sharply reflected","The moon glared back at itself from the lake's surface"],["shine intensely","The sun glared down on us"]],["glower"]]],
+  glass: [["noun",[["a brittle transparent solid with irregular atomic structure"],["a container made of glass for holding liquids while drinking"],["the quantity a glass will hold"]],["drinking glass","glassful"]],["verb",[["furnish with glass","glass the windows"],["scan (game in the forest) with binoculars"],["enclose with glass","glass in a porch"]],["glaze","glass in"]]],
+  glaze: [["verb",[["coat with a glaze","the potter glazed the dishes"],["become glassy or take on a glass-like appearance","Her eyes glaze over when she is bored"],["furnish with glass","glass the windows"]],["glass","glass over","glaze over"]],["noun",[["any of various thin shiny (savory or sweet) coatings applied to foods"],["a glossy finish on a fabric"],["a coating for ceramics, metal, etc."]],[]]],
+  gleam: [["verb",[["be shiny, as if wet","His eyes were glistening"],["shine brightly, like a star or a light"],["appear briefly","A terrible thought gleamed in her mind"]],["glitter","glisten","glint","shine","glimmer"]],["noun",[["an appearance of reflected light"],["a flash of light (especially reflected light)"]],["gleaming","glow","lambency","glimmer"]]],
+  glean: [["verb",[["gather, as of natural products","harvest the grapes"]],["reap","harvest"]]],
+  glide: [["verb",[["move smoothly and effortlessly"],["fly in or as if in a glider plane"],["cause to move or pass silently, smoothly, or imperceptibly"]],[]],["noun",[["a vowellike sound that serves as a consonant"],["the act of moving smoothly along a surface while remaining in contact with it","his slide didn't stop until the bottom of the hill"],["the activity of flying a glider"]],["semivowel","slide","coast","gliding","sailplaning"]]],
+  glint: [["verb",[["be shiny, as if wet","His eyes were glistening"],["throw a glance at; take a brief look at","She only glanced at the paper"]],["glitter","glisten","gleam","shine","glance"]],["noun",[["a momentary flash of light"],["a spatially localized brightness"]],["flicker","spark"]]],
+  gloat: [["verb",[["dwell on with satisfaction"],["gaze at or think about something with great self-satisfaction, gratification, or joy"]],["triumph","crow"]],["noun",[["malicious satisfaction"]],["gloating","glee"]]],
+  globe: [["noun",[["the 3rd planet from the sun; the planet we live on","the Earth moves around the sun"],["an object with a spherical shape","a ball of fire"],["a sphere on which a map (especially of the earth) is represented"]],["earth","world","ball","orb"]]],
+  gloom: [["noun",[["a state of partial or total darkness","he struck a match to dispel the gloom"],["a feeling of melancholy apprehension"],["an atmosphere of depression and melancholy","gloom pervaded the office"]],["somberness","sombreness","gloominess","glumness"]]],
+  glory: [["noun",[["a state of high honor","he valued glory above life itself"],["brilliant radiant beauty","the glory of the sunrise"],["an indication of radiant light drawn around the head of a saint"]],["glorification","resplendence","resplendency","aura","aureole"]],["verb",[["rejoice proudly"]],[]]],
+  gloss: [["noun",[["an explanation or definition of an obscure word in a text"],["an alphabetical list of technical terms in some specialized field of knowledge; usually published as an appendix to a text on that field"],["the property of being smooth and shiny"]],["rubric","glossary","polish","glossiness","burnish"]],["verb",[["give a shine or gloss to, usually by rubbing"],["provide interlinear explanations for words or phrases","He annotated on what his teacher had written"],["provide an interlinear translation of a word or phrase"]],["comment","annotate"]]],
+  glove: [["noun",[["the handwear used by fielders in playing baseball"],["handwear: covers the hand and wrist"],["boxing equipment consisting of big and padded coverings for the fists of the fighters; worn for the sport of boxing"]],["baseball glove","baseball mitt","mitt","boxing glove"]]],
+  glyph: [["noun",[["glyptic art in the form of a symbolic figure carved or incised in relief"]],[]]],
+  gnash: [["verb",[["grind together, of teeth"]],[]]],
+  gnome: [["noun",[["a legendary creature resembling a tiny old man; lives in the depths of the earth and guards buried treasure"],["a short pithy saying expressing a general truth"]],["dwarf"]]],
+  godly: [["adjective",[["showing great reverence for god","a godly man"],["emanating from God","divine judgment"]],["reverent","worshipful","divine"]]],
+  going: [["noun",[["the act of departing"],["euphemistic expressions for death","thousands mourned his passing"],["advancing toward a goal","persuading him was easy going"]],["departure","going away","leaving","passing","loss"]],["adjective",[["in full operation","a going concern"]],[]]],
+  golem: [["noun",[["(Jewish folklore) an artificially created human being that is given life by supernatural means"],["a mechanism that can move automatically"]],["automaton","robot"]]],
+  gonad: [["noun",[["a gland in which gametes (sex cells) are produced"]],["sex gland"]]],
+  goner: [["noun",[["a person in desperate straits; someone doomed","I'm a goner if this plan doesn't work"]],["toast"]]],
+  goody: [["noun",[["something considered choice to eat"]],["dainty","delicacy","kickshaw","treat"]]],
+  gooey: [["adjective",[["soft and sticky"]],["icky"]]],
+  goofy: [["noun",[["a cartoon character created by Walt Disney"]],[]],["adjective",[["ludicrous, foolish","wore a goofy hat"]],["silly","wacky","whacky","zany"]]],
+  goose: [["noun",[["web-footed long-necked typically gregarious migratory aquatic birds usually larger and less aquatic than ducks"],["a man who is a stupid incompetent fool"],["flesh of a goose (domestic or wild)"]],["fathead","goof","goofball","bozo","jackass"]],["verb",[["pinch in the buttocks","he goosed the unsuspecting girl"],["prod into action"],["give a spurt of fuel to","goose the car"]],[]]],
+  gorge: [["verb",[["overeat or eat immodestly; make a pig of oneself","She stuffed herself at the dinner"]],["ingurgitate","overindulge","glut","englut","stuff"]],["noun",[["a deep ravine (usually with a river running through it)"],["a narrow pass (especially one between mountains)"],["the passage between the pharynx and the stomach"]],["defile","esophagus","oesophagus","gullet"]]],
+  gouge: [["verb",[["force with the thumb","gouge out his eyes"],["obtain by coercion or intimidation","They extorted money from the executive by threatening to reveal his past to the company boss"],["make a groove in"]],["force out","extort","squeeze","rack","wring"]],["noun",[["an impression in a surface (as made by a blow)"],["and edge tool with a blade like a trough for cutting channels or grooves"],["the act of gouging"]],["dent","ding","nick"]]],
+  gourd: [["noun",[["bottle made from the dried shell of a bottle gourd"],["any of numerous inedible fruits with hard rinds"],["any vine of the family Cucurbitaceae that bears fruits with hard rinds"]],["calabash","gourd vine"]]],
+  grace: [["noun",[["(Christian theology) a state of sanctification by God; the state of one who is under such divine influence","the conception of grace developed alongside the conception of sin"],["elegance and beauty of movement or expression","a beautiful figure which she used in subtle movements of unparalleled grace"],["a sense of propriety and consideration for others","a place where the company of others must be accepted with good grace"]],["saving grace","state of grace","gracility","seemliness"]],["verb",[["make more attractive by adding ornament, colour, etc.","Decorate the room for the party"],["be beautiful to look at","Flowers adorned the tables everywhere"]],["decorate","adorn","ornament","embellish","beautify"]]],
+  grade: [["noun",[["a body of students who are taught together","early morning classes are always sleepy"],["a relative position or degree of value in a graded group","lumber of the highest grade"],["the gradient of a slope or road or other surface","the road had a steep grade"]],["class","form","course","level","tier"]],["verb",[["assign a rank or rating to","how would you rank these students?"],["level to the right gradient"],["assign a grade or rank to, according to one's evaluation","grade tests"]],["rate","rank","range","order","place"]]],
+  graft: [["noun",[["(surgery) tissue or organ transplanted from a donor to a recipient; in some cases the patient can be both donor and recipient"],["the practice of offering something (usually money) in order to gain an illicit advantage"],["the act of grafting something onto something else"]],["transplant","bribery","grafting"]],["verb",[["cause to grow together parts from different plants","graft the cherry tree branch onto the plum tree"],["place the organ of a donor into the body of a recipient"]],["engraft","ingraft","transplant"]]],
+  grail: [["noun",[["the object of any prolonged endeavor"],["(legend) chalice used by Christ at the Last Supper"]],[]]],
+  grain: [["noun",[["a relatively small granular particle of a substance","a grain of sand"],["foodstuff prepared from the starchy grains of cereal grasses"],["the side of leather from which the hair has been removed"]],["food grain","cereal"]],["verb",[["thoroughly work in","His hands were grained with dirt"],["paint (a surface) to make it look like stone or wood"],["form into grains"]],["ingrain","granulate"]]],
+  grand: [["adjective",[["of behavior that is impressive and ambitious in scale or scope","an expansive lifestyle"],["of or befitting a lord","heir to a lordly fortune"],["ostentatiously rich and superior in quality","a princely sum"]],["expansive","heroic","august","lordly","deluxe"]],["noun",[["the cardinal number that is the product of 10 and 100"],["a piano with the strings on a horizontal harp-shaped frame; usually supported by three legs"]],["thousand","one thousand","1000","chiliad","thou"]]],
+  grant: [["verb",[["let have","grant permission"],["give as judged due or on the basis of merit","the referee awarded a free kick to the team"],["be willing to concede","I grant you this much"]],["allow","award","concede","yield"]],["noun",[["any monetary aid"],["the act of providing a subsidy"],["(law) a transfer of property by deed of conveyance"]],["subsidization","subsidisation","assignment"]]],
+  grape: [["noun",[["any of various juicy fruit of the genus Vitis with green or purple skins; grow in clusters"],["any of numerous woody vines of genus Vitis bearing clusters of edible berries"],["a cluster of small projectiles fired together from a cannon to produce a hail of shot"]],["grapevine","grape vine","grapeshot"]]],
+  graph: [["noun",[["a visual representation of the relations between certain quantities, represented as points, plotted with reference to a set of axes"],["a visual display of information"],["a written symbol that is used to represent speech","the Greek alphabet has 24 characters"]],["graphical record","graphical recording","chart","character","grapheme"]],["verb",[["represent by means of a graph","chart the data"],["plot upon a graph"]],["chart"]]],
+  grasp: [["verb",[["hold firmly"],["get the meaning of something","Do you comprehend the meaning of this letter?"]],["hold on","grok","get the picture","comprehend","savvy"]],["noun",[["understanding of the nature or meaning or quality or magnitude of something","he has a good grasp of accounting practices"],["the limit of capability","within the compass of education"],["an intellectual hold or understanding","a good grip on French history"]],["appreciation","hold","compass","range","reach"]]],
+  grass: [["noun",[["narrow-leaved green herbage: grown as lawns; used as pasture for grazing animals; cut and dried as hay"],["a police informer who implicates many people"],["bulky food like grass or hay for browsing or grazing horses or cattle"]],["supergrass","eatage","forage","pasture","pasturage"]],["verb",[["shoot down, of birds"],["cover with grass","The owners decided to grass their property"],["spread out clothes on the grass to let it dry and bleach"]],[]]],
+  grate: [["noun",[["a frame of iron bars to hold a fire"],["a harsh rasping sound made by scraping something"],["a barrier that has parallel or crossed bars blocking a passage but admitting air"]],["grating"]],["verb",[["furnish with a grate","a grated fireplace"],["gnaw into; make resentful or angry","The injustice rankled her"],["reduce to small shreds or pulverize by rubbing against a rough or sharp perforated surface","grate carrots and onions"]],["eat into","fret","rankle"]]],
+  grave: [["noun",[["death of a person","he went to his grave without forgiving me"],["a place for the burial of a corpse (especially beneath the ground and marked by a tombstone)","he put flowers on his mother's grave"],["a mark (`) placed above a vowel to indicate pronunciation"]],["tomb","grave accent"]],["adjective",[["dignified and somber in manner or character and committed to keeping promises","a grave God-fearing man"],["causing fear or anxiety by threatening great harm","a dangerous operation"],["of great gravity or crucial import; requiring serious thought","grave responsibilities"]],["sedate","sober","solemn","dangerous","grievous"]],["verb",[["shape (a material like stone or wood) by whittling away at it","She is sculpting the block of marble into an image of her husband"],["carve, cut, or etch into a material or surface","engrave a pen"]],["sculpt","sculpture","scratch","engrave","inscribe"]]],
+  gravy: [["noun",[["a sauce made by adding stock, flour, or other ingredients to the juice and fat that drips from cooking meats"],["the seasoned but not thickened juices that drip from cooking meats; often a little water is added"],["a sudden happening that brings good fortune (as a sudden opportunity to make money)","the demand for testing has created a boom for those unregulated laboratories where boxes of specimen jars are processed like an assembly line"]],["pan gravy","boom","bonanza","gold rush","godsend"]]],
+  graze: [["verb",[["feed as in a meadow or pasture","the herd was grazing"],["break the skin (of a body part) by scraping","She was grazed by the stray bullet"],["let feed in a field or pasture or meadow"]],["crop","browse","range","pasture"]],["noun",[["a superficial abrasion"],["the act of grazing"]],["grazing"]]],
+  great: [["adjective",[["relatively large in size or number or extent; larger than others of its kind","a great juicy steak"],["of major significance or importance","a great work of art"],["remarkable or out of the ordinary in degree or magnitude or effect","a great crisis"]],["outstanding"]],["noun",[["a person who has achieved distinction and honor in some field","he is one of the greats of American music"]],[]]],
+  greed: [["noun",[["excessive desire to acquire or possess more (especially more material wealth) than one needs or deserves"],["reprehensible acquisitiveness; insatiable desire for wealth (personified as one of the deadly sins)"]],["avarice","covetousness","rapacity","avaritia"]]],
+  green: [["noun",[["green color or pigment; resembling the color of growing grass"],["a piece of open land for recreational use in an urban area","they went for a walk in the park"],["an area of closely cropped grass surrounding the hole on a golf course","the ball rolled across the green and into the bunker"]],["greenness","viridity","park","commons","common"]],["adjective",[["of the color between blue and yellow in the color spectrum; similar to the color of fresh grass","a green tree"],["concerned with or supporting or in conformity with the political principles of the Green Party"],["not fully developed or mature; not ripe","unripe fruit"]],["greenish","light-green","dark-green","unripe","unripened"]],["verb",[["turn or become green","The trees are greening"]],[]]],
+  greet: [["verb",[["express greetings upon meeting someone"],["send greetings to"],["react to in a certain way","The President was greeted with catcalls"]],["recognize","recognise"]]],
+  grief: [["noun",[["intense sorrow caused by loss of a loved one (especially by death)"],["something that causes great unhappiness","her death was a great grief to John"]],["heartache","heartbreak","brokenheartedness","sorrow"]]],
+  grill: [["noun",[["a restaurant where food is cooked on a grill"],["a framework of metal bars used as a partition or a grate","he cooked hamburgers on the grill"]],["grillroom","grille","grillwork"]],["verb",[["cook over or under a grill","grill the sausages"],["examine thoroughly","the student was grilled for two hours on the subject of phonology"]],[]]],
+  grime: [["noun",[["the state of being covered with unclean things"]],["dirt","filth","soil","stain","grease"]],["verb",[["make soiled, filthy, or dirty","don't soil your clothes when you play outside!"]],["dirty","soil","begrime","colly","bemire"]]],
+  grimy: [["adjective",[["thickly covered with ingrained dirt or soot","a miner's begrimed face"]],["begrimed","dingy","grubby","grungy","raunchy"]]],
+  grind: [["verb",[["press or grind with a crushing noise"],["make a grating or grinding sound by rubbing together","grate one's teeth in anger"],["work hard","She was digging away at her math homework"]],["crunch","cranch","craunch","grate","labor"]],["noun",[["an insignificant student who is ridiculed as being affected or boringly studious"],["the grade of particle fineness to which a substance is ground","a coarse grind of coffee"],["hard monotonous routine work"]],["swot","nerd","wonk","dweeb","drudgery"]]],
+  gripe: [["noun",[["informal terms for objecting","I have a gripe about the service here"]],["kick","beef","bitch","squawk"]],["verb",[["complain","What was he hollering about?"]],["bitch","grouse","crab","beef","squawk"]]],
+  groan: [["noun",[["an utterance expressing pain or disapproval"]],["moan"]],["verb",[["indicate pain, discomfort, or displeasure","The students groaned when the professor got out the exam booklets"]],["moan"]]],
+  groin: [["noun",[["the crease at the junction of the inner part of the thigh with the trunk together with the adjacent region and often including the external genitals"],["a curved edge formed by two intersecting vaults"],["a protective structure of stone or concrete; extends from shore into the water to prevent a beach from washing away"]],["inguen","breakwater","groyne","mole","bulwark"]],["verb",[["build with groins","The ceiling was groined"]],[]]],
+  groom: [["verb",[["educate for a future role or function","He is grooming his son to become his successor"],["give a neat appearance to","groom the dogs"],["care for one's external appearance","He is always well-groomed"]],["prepare","train","dress","curry","neaten"]],["noun",[["a man participant in his own marriage ceremony"],["someone employed in a stable to take care of the horses"],["a man who has recently been married"]],["bridegroom","stableman","stableboy","hostler","ostler"]]],
+  grope: [["verb",[["feel about uncertainly or blindly","She groped for her glasses in the darkness of the bedroom"],["search blindly or uncertainly","His mind groped to make the connection"],["fondle for sexual pleasure","He made some sexual advances at the woman in his office and groped her repeatedly"]],["fumble"]],["noun",[["the act of groping; and instance of groping"]],[]]],
+  gross: [["adjective",[["before any deductions","gross income"],["lacking fine distinctions or detail","the gross details of the structure appear reasonable"],["repellently fat","a bald porcine old man"]],["porcine"]],["noun",[["twelve dozen"],["the entire amount of income before any deductions are made"]],["144","revenue","receipts"]],["verb",[["earn before taxes, expenses, etc."]],[]]],
+  group: [["noun",[["any number of entities (members) considered as a unit"],["(chemistry) two or more atoms bound together as a single unit and forming part of a molecule"],["a set that is closed, associative, has an identity element and every element has an inverse"]],["grouping","radical","chemical group","mathematical group"]],["verb",[["arrange into a group or groups","Can you group these shapes together?"],["form a group or group together"]],["aggroup"]]],
+  grout: [["noun",[["a thin mortar that can be poured and used to fill cracks in masonry or brickwork"]],[]],["verb",[["bind with grout","grout the bathtub"]],[]]],
+  grove: [["noun",[["a small growth of trees without underbrush"],["garden consisting of a small cultivated wood without undergrowth"]],["woodlet","orchard","plantation"]]],
+  growl: [["noun",[["the sound of growling (as made by animals)"]],["growling"]],["verb",[["to utter or emit low dull rumbling sounds","he grumbled a rude response"]],["grumble","rumble"]]],
+  grown: [["adjective",[["(of animals) fully developed","an adult animal"]],["adult","big","full-grown","fully grown","grownup"]]],
+  gruel: [["noun",[["a thin porridge (usually oatmeal or cornmeal)"]],[]]],
+  gruff: [["adjective",[["brusque and surly and forbidding","crusty remarks"],["deep and harsh sounding as if from shouting or illness or emotion","gruff voices"]],["crusty","curmudgeonly","ill-humored","ill-humoured","hoarse"]]],
+  grunt: [["noun",[["the short low gruff noise of the kind made by hogs"],["an unskilled or low-ranking soldier or other worker","infantrymen in Vietnam were called grunts"],["medium-sized tropical marine food fishes that utter grunting sounds when caught"]],["oink"]],["verb",[["issue a grunting, low, animal-like noise","He grunted his reluctant approval"]],[]]],
+  guard: [["noun",[["a person who keeps watch over something or someone"],["the person who plays that position on a football team","the left guard was injured on the play"],["a device designed to prevent injury or accidents"]],["safety","safety device"]],["verb",[["to keep watch over","there would be men guarding the horses"],["watch over or shield from danger or harm; protect","guard my possessions while I'm away"],["protect against a challenge or attack","Hold that position behind the trees!"]],["ward","defend","hold"]]],
+  guava: [["noun",[["small tropical shrubby tree bearing small yellowish fruit"],["small tropical American shrubby tree; widely cultivated in warm regions for its sweet globular yellow fruit"],["tropical fruit having yellow skin and pink pulp; eaten fresh or used for e.g. jellies"]],["strawberry guava","yellow cattley guava","true guava","guava bush"]]],
+  guess: [["verb",[["expect, believe, or suppose","I imagine she earned a lot of money with her new novel"],["put forward, of a guess, in spite of possible refutation","I am guessing that the price of real estate will rise again"],["judge tentatively or form an estimate of (quantities or time)","I estimate this chicken to weigh three pounds"]],["think","opine","suppose","imagine","reckon"]],["noun",[["a message expressing an opinion based on incomplete evidence"],["an estimate based on little or no information"]],["conjecture","supposition","surmise","surmisal","speculation"]]],
+  guest: [["noun",[["a visitor to whom hospitality is extended"],["a customer of a hotel or restaurant etc."],["(computer science) any computer that is hooked up to a computer network"]],["invitee","node","client"]]],
+  guide: [["noun",[["someone employed to conduct others"],["someone who shows the way by leading or advising"],["something that offers basic information or instruction"]],["usher","guidebook"]],["verb",[["direct the course; determine the direction of travelling"],["take somebody somewhere","We lead him to our chief"],["be a guiding or motivating force or drive","The teacher steered the gifted students towards the more challenging courses"]],["steer","maneuver","manoeuver","manoeuvre","direct"]]],
+  guild: [["noun",[["a formal association of people with similar interests","he joined a golf club"]],["club","social club","society","gild","lodge"]]],
+  guile: [["noun",[["shrewdness as demonstrated by being skilled in deception"],["the quality of being crafty"],["the use of tricks to deceive someone (usually to extract money from them)"]],["craft","craftiness","cunning","foxiness","slyness"]]],
+  guilt: [["noun",[["the state of having committed an offense"],["remorse caused by feeling responsible for some offense"]],["guiltiness","guilty conscience","guilt feelings","guilt trip"]]],
+  guise: [["noun",[["an artful or simulated semblance","under the guise of friendship he betrayed them"]],["pretense","pretence","pretext"]]],
+  gulch: [["noun",[["a narrow gorge with a stream running through it"]],["flume"]]],
+  gully: [["noun",[["deep ditch cut by running water (especially after a prolonged downpour)"]],[]]],
+  gumbo: [["noun",[["any of various fine-grained silty soils that become waxy and very sticky mud when saturated with water"],["tall coarse annual of Old World tropics widely cultivated in southern United States and West Indies for its long mucilaginous green pods used as basis for soups and stews; sometimes placed in genus Hibiscus"],["long mucilaginous green pods; may be simmered or sauteed but used especially in soups and stews"]],["gumbo soil","okra","okra plant","lady's-finger"]]],
+  gummy: [["adjective",[["having the sticky properties of an adhesive"],["covered with adhesive gum"]],["gluey","glutinous","mucilaginous","pasty","sticky"]]],
+  guppy: [["noun",[["small freshwater fish of South America and the West Indies; often kept in aquariums"]],["rainbow fish"]]],
+  gusto: [["noun",[["vigorous and enthusiastic enjoyment"]],["relish","zest","zestfulness"]]],
+  gusty: [["adjective",[["blowing in puffs or short intermittent blasts","puffy off-shore winds"]],["puffy"]]],
+  gypsy: [["noun",[["a laborer who moves from place to place as demanded by employment","itinerant traders"],["a person who resembles a Gypsy in leading an unconventional, nomadic way of life"],["a member of a people with dark skin and hair who speak Romany and who traditionally live by seasonal work and fortunetelling; they are believed to have originated in northern India but now are living on all continents (but mostly in Europe, North Africa, and North America)"]],["itinerant","gipsy"]]],
+  habit: [["noun",[["an established custom","it was their habit to dine at 7 every evening"],["(psychology) an automatic pattern of behavior in reaction to a specific situation; may be inherited or acquired through frequent repetition","owls have nocturnal habits"],["a distinctive attire worn by a member of a religious order"]],["wont","use"]],["verb",[["put a habit on"]],[]]],
+  hairy: [["adjective",[["having or covered with hair","Jacob was a hairy man"],["hazardous and frightening","hairy moments in the mountains"]],["haired","hirsute"]]],
+  halve: [["verb",[["divide by two; divide into halves","Halve the cake"]],[]]],
+  handy: [["adjective",[["easy to reach","found a handy spot for the can opener"],["useful and convenient","a handy gadget"],["skillful with the hands","handy with an axe"]],["ready to hand"]],["noun",[["United States blues musician who transcribed and published traditional blues music (1873-1958)"]],[]]],
+  happy: [["adjective",[["enjoying or showing or marked by joy or pleasure","a happy smile"],["marked by good fortune","a felicitous life"],["eagerly disposed to act or to be of service","glad to help"]],["felicitous","glad"]]],
+  hardy: [["adjective",[["having rugged physical strength; inured to fatigue or hardships","hardy explorers of northern Canada"],["able to survive under unfavorable weather conditions","strawberries are hardy and easy to grow"],["invulnerable to fear or intimidation","audacious explorers"]],["stalwart","stout","sturdy","audacious","brave"]],["noun",[["United States slapstick comedian who played the pompous and overbearing member of the Laurel and Hardy duo who made many films (1892-1957)"],["English novelist and poet (1840-1928)"]],[]]],
+  harem: [["noun",[["living quarters reserved for wives and concubines and female relatives in a Muslim household"]],["hareem","seraglio","serail"]]],
+  harpy: [["noun",[["a malicious woman with a fierce temper"],["any of various fruit bats of the genus Nyctimene distinguished by nostrils drawn out into diverging tubes"],["large black-and-white crested eagle of tropical America"]],["vixen","hellcat","harpy bat","tube-nosed bat","tube-nosed fruit bat"]]],
+  harry: [["verb",[["annoy continually or chronically","He is known to harry his staff when he is overworked"],["make a pillaging or destructive raid on (a place), as in wartimes"]],["harass","hassle","chivy","chivvy","chevy"]]],
+  harsh: [["adjective",[["unpleasantly stern","wild and harsh country full of hot sand and cactus"],["unpleasantly rough or jarring to the senses","the harsh cry of a blue jay"],["of textures that are rough to the touch or substances consisting of relatively large particles","coarse meal"]],["rough","coarse"]]],
+  haste: [["noun",[["overly eager speed (and possible carelessness)","he soon regretted his haste"],["the act of moving hurriedly and in a careless manner","in his haste to leave he forgot his book"],["a condition of urgency making it necessary to hurry","in a hurry to lock the door"]],["hastiness","hurry","hurriedness","precipitation","rush"]]],
+  hasty: [["adjective",[["excessively quick","made a hasty exit"],["done with very great haste and without due deliberation","hasty marriage seldom proveth well"]],["headlong","overhasty","precipitate","precipitant","precipitous"]]],
+  hatch: [["verb",[["emerge from the eggs","young birds, fish, and reptiles hatch"],["devise or invent","He thought up a plan to get rich quickly"],["inlay with narrow strips or lines of a different substance such as gold or silver, for the purpose of decorating"]],["think up","think of","dream up","concoct"]],["noun",[["the production of young from an egg"],["shading consisting of multiple crossing lines"],["a sloping rear car door that is lifted to open"]],["hatching","crosshatch","hachure","hatchback","hatchback door"]]],
+  hater: [["noun",[["a person who hates"]],[]]],
+  haunt: [["verb",[["follow stealthily or recur constantly and spontaneously to","her ex-boyfriend stalked her"],["haunt like a ghost; pursue","Fear of illness haunts her"],["be a regular or frequent visitor to a certain place","She haunts the ballet"]],["stalk","obsess","ghost","frequent"]],["noun",[["a frequently visited place"]],["hangout","resort","repair","stamping ground"]]],
+  haven: [["noun",[["a shelter serving as a place of safety or sanctuary"],["a sheltered port where ships can take on or discharge cargo"]],["oasis","seaport","harbor","harbour"]]],
+  havoc: [["noun",[["violent and needless disturbance"]],["mayhem"]]],
+  hazel: [["adjective",[["of a light brown or yellowish brown color"]],[]],["noun",[["Australian tree grown especially for ornament and its fine-grained wood and bearing edible nuts"],["the fine-grained wood of a hazelnut tree (genus Corylus) and the hazel tree (Australian genus Pomaderris)"],["any of several shrubs or small trees of the genus Corylus bearing edible nuts enclosed in a leafy husk"]],["hazel tree","hazelnut","hazelnut tree"]]],
+  heady: [["adjective",[["marked by the exercise of good judgment or common sense in practical matters","judicious use of one's money"],["extremely exciting as if by alcohol or a narcotic"],["marked by defiant disregard for danger or consequences","foolhardy enough to try to seize the gun from the hijacker"]],["judicious","wise","intoxicating","foolhardy","rash"]]],
+  heard: [["adjective",[["detected or perceived by the sense of hearing","a conversation heard through the wall"]],[]]],
+  heart: [["noun",[["the locus of feelings and intuitions","in your heart you know it is true"],["the hollow muscular organ located behind the sternum and between the lungs; its rhythmic contractions move the blood through the body","he stood still, his heart thumping wildly"],["the courage to carry on","he kept fighting on pure spunk"]],["bosom","pump","ticker","mettle","nerve"]]],
+  heath: [["noun",[["a low evergreen shrub of the family Ericaceae; has small bell-shaped pink or purple flowers"],["a tract of level wasteland; uncultivated land with sandy soil and scrubby vegetation"]],["heathland"]]],
+  heave: [["verb",[["utter a sound, as with obvious effort","She heaved a deep sigh when she saw the list of things to do"],["throw with great effort"],["rise and move, as in waves or billows","The army surged forward"]],["billow","surge"]],["noun",[["an upward movement (especially a rhythmical rising and falling)","the heaving of waves on a rough sea"],["(geology) a horizontal dislocation"],["the act of lifting something with great effort"]],["heaving"]]],
+  heavy: [["adjective",[["of comparatively great physical weight or density","a heavy load"],["unusually great in degree or quantity or number","heavy taxes"],["of the military or industry; using (or being) the heaviest and most powerful armaments or weapons or equipment","heavy artillery"]],[]],["noun",[["an actor who plays villainous roles"],["a serious (or tragic) role in a play"]],[]],["adverb",[["slowly as if burdened by much weight","time hung heavy on their hands"]],["heavily"]]],
+  hedge: [["noun",[["a fence formed by a row of closely planted shrubs or bushes"],["any technique designed to reduce or eliminate financial risk; for example, taking two positions that will offset each other if prices change"],["an intentionally noncommittal or ambiguous statement","when you say `maybe' you are just hedging"]],["hedgerow","hedging"]],["verb",[["avoid or try to avoid fulfilling, answering, or performing (duties, questions, or issues)","He dodged the issue"],["hinder or restrict with or as if with a hedge","The animals were hedged in"],["enclose or bound in with or as it with a hedge or hedges","hedge the property"]],["fudge","evade","put off","circumvent","parry"]]],
+  hefty: [["adjective",[["(of a person) possessing physical strength and weight; rugged and powerful","a hefty athlete"],["of considerable weight and size","a hefty dictionary"],["large in amount or extent or degree","it cost a considerable amount"]],["brawny","muscular","powerful","sinewy","goodly"]]],
+  heist: [["verb",[["commit a burglary; enter and rob a dwelling"]],["burglarize","burglarise","burgle"]],["noun",[["the act of stealing"],["robbery at gunpoint"]],["rip-off","armed robbery","holdup","stickup"]]],
+  helix: [["noun",[["a curve that lies on the surface of a cylinder or cone and cuts the element at a constant angle"],["a structure consisting of something wound in a continuous series of loops","a coil of rope"],["type genus of the family Helicidae"]],["spiral","coil","volute","whorl"]]],
+  hello: [["noun",[["an expression of greeting","every morning they exchanged polite hellos"]],["hullo","hi","howdy","how-do-you-do"]]],
+  hence: [["adverb",[["(used to introduce a logical conclusion) from that fact or reason or as a result","therefore X must be true"],["from this place","get thee hence!"],["from this time","a year hence it will be forgotten"]],["therefore","thence","thus","so"]]],
+  heron: [["noun",[["grey or white wading bird with long neck and long legs and (usually) long bill"],["Greek mathematician and inventor who devised a way to determine the area of a triangle and who described various mechanical devices (first century)"]],[]]],
+  hilly: [["adjective",[["having hills and crags","hilly terrain"]],["cragged","craggy","mountainous"]]],
+  hinge: [["noun",[["a joint that holds two parts together so that one can swing relative to the other"],["a circumstance upon which subsequent events depend","his absence is the hinge of our plan"]],["flexible joint"]],["verb",[["attach with a hinge"]],[]]],
+  hippo: [["noun",[["massive thick-skinned herbivorous animal living in or around rivers of tropical Africa"],["an ancient Numidian town in northwestern Africa adjoining present-day Annaba in northeastern Algeria"]],["hippopotamus","river horse"]]],
+  hippy: [["noun",[["someone who rejects the established culture; advocates extreme liberalism in politics and lifestyle"]],["hippie","hipster","flower child"]]],
+  hitch: [["verb",[["to hook or entangle","One foot caught in the stirrup"],["walk impeded by some physical limitation or injury","The old woman hobbles down to the store every day"],["jump vertically, with legs stiff and back arched","the yung filly bucked"]],["catch","limp","gimp","hobble","buck"]],["noun",[["a period of time spent in military service"],["the state of inactivity following an interruption","the negotiations were in arrest"],["an unforeseen obstacle"]],["enlistment","term of enlistment","tour of duty","duty tour","tour"]]],
+  hoard: [["noun",[["a secret store of valuables or money"]],["cache","stash"]],["verb",[["save up as for future use"],["get or gather together","I am accumulating evidence for the man's unfaithfulness to his wife"]],["stash","cache","lay away","hive up","squirrel away"]]],
+  hobby: [["noun",[["an auxiliary activity"],["a child's plaything consisting of an imitation horse mounted on rockers; the child straddles it and pretends to ride"],["small Old World falcon formerly trained and flown at small birds"]],["avocation","by-line","pursuit","sideline","spare-time activity"]]],
+  hoist: [["verb",[["raise or haul up with or as if with mechanical help","hoist the bicycle onto the roof of the car"],["move from one place to another by lifting","They hoisted the patient onto the operating table"],["raise","hoist the flags"]],["lift","wind","run up"]],["noun",[["lifting device for raising heavy or cumbersome objects"]],[]]],
+  holly: [["noun",[["any tree or shrub of the genus Ilex having red berries and shiny evergreen leaves with prickly edges"],["United States rock star (1936-1959)"]],[]]],
+  homer: [["noun",[["a base hit on which the batter scores a run"],["an ancient Hebrew unit of capacity equal to 10 baths or 10 ephahs"],["pigeon trained to return home"]],["home run","kor","homing pigeon"]],["verb",[["hit a home run"]],[]]],
+  honey: [["noun",[["a sweet yellow liquid produced by bees"],["a beloved person; used as terms of endearment"]],["beloved","dear","dearest","love"]],["adjective",[["of something having the color of honey"]],[]],["verb",[["sweeten with honey"]],[]]],
+  honor: [["noun",[["a tangible symbol signifying approval or distinction","an award for bravery"],["the state of being honored"],["the quality of being honorable and having a good name","a man of honor"]],["award","accolade","honour","laurels"]],["verb",[["bestow honor or rewards upon","Today we honor our soldiers"],["show respect towards","honor your parents!"],["accept as pay","we honor checks and drafts"]],["honour","reward","respect","abide by","observe"]]],
+  horde: [["noun",[["a vast multitude"],["a nomadic community"],["a moving crowd"]],["host","legion","drove","swarm"]]],
+  horny: [["adjective",[["feeling great sexual desire","feeling horny"],["having horns or hornlike projections","horny coral"],["made of horn (or of a substance resembling horn)"]],["aroused","randy","ruttish","steamy","turned on"]]],
+  horse: [["noun",[["solid-hoofed herbivorous quadruped domesticated since prehistoric times"],["a padded gymnastic apparatus on legs"],["troops trained to fight on horseback","500 horse led the attack"]],["gymnastic horse","cavalry","horse cavalry"]],["verb",[["provide with a horse or horses"]],[]]],
+  hotel: [["noun",[["a building where travelers can pay for lodging and meals and other services"]],[]]],
+  hotly: [["adverb",[["in a heated manner","`To say I am behind the strike is so much nonsense,' declared Mr Harvey heatedly"]],["heatedly"]]],
+  hound: [["noun",[["any of several breeds of dog used for hunting typically having large drooping ears"],["someone who is morally reprehensible","you dirty dog"]],["hound dog","cad","bounder","blackguard","dog"]],["verb",[["pursue or chase relentlessly","The hunters traced the deer into the woods"]],["hunt","trace"]]],
+  house: [["noun",[["a dwelling that serves as living quarters for one or more families","he has a house on Cape Cod"],["the members of a business organization that owns or operates one or more establishments","he worked for a brokerage house"],["the members of a religious community living together"]],["firm","business firm"]],["verb",[["contain or cover","This box houses the gears"],["provide housing for","The immigrants were housed in a new development outside the town"]],["put up","domiciliate"]]],
+  hovel: [["noun",[["small crude shelter used as a dwelling"]],["hut","hutch","shack","shanty"]]],
+  hover: [["verb",[["be undecided about something; waver between conflicting positions or courses of action","He oscillates between accepting the new position and retirement"],["move to and fro","The shy student lingered in the corner"],["hang in the air; fly or be suspended above"]],["vibrate","vacillate","oscillate","linger"]]],
+  howdy: [["noun",[["an expression of greeting","every morning they exchanged polite hellos"]],["hello","hullo","hi","how-do-you-do"]]],
+  human: [["adjective",[["characteristic of humanity","human nature"],["relating to a person","the experiment was conducted on 6 monkeys and 2 human subjects"],["having human form or attributes as opposed to those of animals or divine beings","human beings"]],[]],["noun",[["any living or extinct member of the family Hominidae characterized by superior intelligence, articulate speech, and erect carriage"]],["homo","man","human being"]]],
+  humid: [["adjective",[["containing or characterized by a great deal of water vapor","humid air"]],[]]],
+  humor: [["noun",[["a message whose ingenuity or verbal skill or incongruity has the power to evoke laughter"],["the trait of appreciating (and being able to express) the humorous","she didn't appreciate my humor"],["a characteristic (habitual or relatively temporary) state of feeling","whether he praised or cursed me depended on his temper at the time"]],["wit","humour","witticism","wittiness","sense of humor"]],["verb",[["put into a good mood"]],["humour"]]],
+  humus: [["noun",[["partially decomposed organic matter; the organic component of soil"],["a thick spread made from mashed chickpeas, tahini, lemon juice and garlic; used especially as a dip for pita; originated in the Middle East"]],["hummus","hommos","hoummos","humous"]]],
+  hunch: [["noun",[["an impression that something might be the case","he had an intuition that something had gone wrong"],["the act of bending yourself into a humped position"]],["intuition","suspicion"]],["verb",[["round one's back by bending forward and drawing the shoulders forward"]],["hump","hunch forward","hunch over"]]],
+  hurry: [["noun",[["a condition of urgency making it necessary to hurry","in a hurry to lock the door"],["overly eager speed (and possible carelessness)","he soon regretted his haste"],["the act of moving hurriedly and in a careless manner","in his haste to leave he forgot his book"]],["haste","hastiness","hurriedness","precipitation","rush"]],["verb",[["move very fast","The runner zipped past us at breakneck speed"],["act or move at high speed","We have to rush!"],["urge to an unnatural speed","Don't rush me, please!"]],["travel rapidly","speed","zip","rush","hasten"]]],
+  husky: [["adjective",[["muscular and heavily built","a beefy wrestler"],["deep and harsh sounding as if from shouting or illness or emotion","gruff voices"]],["beefy","burly","strapping","buirdly","gruff"]],["noun",[["breed of heavy-coated Arctic sled dog"]],[]]],
+  hussy: [["noun",[["a woman adulterer"]],["adulteress","fornicatress","jade","loose woman","slut"]]],
+  hutch: [["noun",[["a cage (usually made of wood and wire mesh) for small animals"],["small crude shelter used as a dwelling"]],["hovel","hut","shack","shanty"]]],
+  hyena: [["noun",[["doglike nocturnal mammal of Africa and southern Asia that feeds chiefly on carrion"]],["hyaena"]]],
+  hymen: [["noun",[["a fold of tissue that partly covers the entrance to the vagina of a virgin"],["(Greek mythology) the god of marriage"]],["maidenhead","virginal membrane"]]],
+  icily: [["adverb",[["in a cold and icy manner","`Mr. Powell finds it easier to take it out of mothers, children and sick people than to take on this vast industry,' Mr Brown commented icily"]],[]]],
+  icing: [["noun",[["the formation of frost or ice on a surface"],["a flavored sugar topping used to coat and decorate cakes"],["(ice hockey) the act of shooting the puck from within your own defensive area the length of the rink beyond the opponent's goal"]],["frost","frosting","ice","icing the puck"]]],
+  ideal: [["noun",[["the idea of something that is perfect; something that one hopes to attain"],["model of excellence or perfection of a kind; one having no equal"]],["paragon","nonpareil","saint","apotheosis","nonesuch"]],["adjective",[["conforming to an ultimate standard of perfection or excellence; embodying an ideal"],["constituting or existing only in the form of an idea or mental image or conception","a poem or essay may be typical of its period in idea or ideal content"],["of or relating to the philosophical doctrine of the reality of ideas"]],["idealistic"]]],
+  idiom: [["noun",[["a manner of speaking that is natural to native speakers of a language"],["the usage or vocabulary that is characteristic of a specific group of people","the immigrants spoke an odd dialect of English"],["the style of a particular artist or school or movement","an imaginative orchestral idiom"]],["parlance","dialect","accent","artistic style"]]],
+  idiot: [["noun",[["a person of subnormal intelligence"]],["imbecile","cretin","moron","changeling","half-wit"]]],
+  idler: [["noun",[["person who does no work","a lazy bum"]],["loafer","do-nothing","layabout","bum"]]],
+  idyll: [["noun",[["an episode of such pastoral or romantic charm as to qualify as the subject of a poetic idyll"],["a musical composition that evokes rural life"],["a short poem descriptive of rural or pastoral life"]],["pastorale","pastoral","idyl","eclogue","bucolic"]]],
+  igloo: [["noun",[["an Eskimo hut; usually built of blocks (of sod or snow) in the shape of a dome"]],["iglu"]]],
+  iliac: [["adjective",[["of or relating to the ilium"]],[]]],
+  image: [["noun",[["an iconic mental representation","her imagination forced images upon her too awful to contemplate"],["(Jungian psychology) a personal facade that one presents to the world","a public image is as fragile as Humpty Dumpty"],["a visual representation (of an object or scene or person or abstraction) produced on a surface","they showed us the pictures of their wedding"]],["mental image","persona","picture","icon","ikon"]],["verb",[["render visible, as by means of MRI"],["imagine; conceive of; see in one's mind","I can't see him on horseback!"]],["visualize","visualise","envision","project","fancy"]]],
+  imbue: [["verb",[["spread or diffuse through","An atmosphere of distrust has permeated this administration"],["fill, soak, or imbue totally","soak the bandage with disinfectant"],["suffuse with color"]],["permeate","pervade","penetrate","interpenetrate","diffuse"]]],
+  impel: [["verb",[["urge or force (a person) to an action; constrain or motivate"],["cause to move forward with force","Steam propels this ship"]],["force","propel"]]],
+  imply: [["verb",[["express or state indirectly"],["suggest as a logically necessary consequence; in logic"],["have as a logical consequence","The water shortage means that we have to stop taking long showers"]],["connote","entail","mean"]]],
+  inane: [["adjective",[["extremely silly or stupid"]],["asinine","fatuous"]]],
+  incur: [["verb",[["make oneself subject to; bring upon oneself; become liable to","People who smoke incur a great danger to their health"],["receive a specified treatment (abstract)","These aspects of civilization do not find expression or receive an interpretation"]],["receive","get","find","obtain"]]],
+  index: [["noun",[["a numerical scale used to compare variables with one another or with some reference number"],["a number or ratio (a value on a scale of measurement) derived from a series of observed facts; can reveal relative changes as a function of time"],["a mathematical notation indicating the number of times a quantity is multiplied by itself"]],["index number","indicant","indicator","exponent","power"]],["verb",[["list in an index"],["provide with an index","index the book"],["adjust through indexation","The government indexes wages and prices"]],[]]],
+  inept: [["adjective",[["not elegant or graceful in expression","an awkward prose style"],["generally incompetent and ineffectual","feckless attempts to repair the plumbing"],["revealing lack of perceptiveness or judgment or finesse","an inept remark"]],["awkward","clumsy","cumbersome","inapt","ill-chosen"]]],
+  inert: [["adjective",[["unable to move or resist motion"],["having only a limited ability to react chemically; chemically inactive","inert matter"],["slow and apathetic","she was fat and inert"]],["indifferent","neutral","sluggish","soggy","torpid"]]],
+  infer: [["verb",[["reason by deduction; establish by deduction"],["draw from specific cases for more general cases"],["conclude by reasoning; in logic"]],["deduce","deduct","derive","generalize","generalise"]]],
+  ingot: [["noun",[["metal that is cast in the shape of a block for convenient handling"]],[]]],
+  inlay: [["verb",[["decorate the surface of by inserting wood, stone, and metal"]],[]],["noun",[["(dentistry) a filling consisting of a solid substance (as gold or porcelain) fitted to a cavity in a tooth and cemented into place"],["a decoration made by fitting pieces of wood into prepared slots in a surface"]],[]]],
+  inlet: [["noun",[["an arm off of a larger body of water (often between rocky headlands)"],["an opening through which fluid is admitted to a tube or container"]],["recess","intake"]]],
+  inner: [["adjective",[["located inward","Beethoven's manuscript looks like a bloody record of a tremendous inner battle"],["located or occurring within or closer to a center","an inner room"],["innermost or essential","the inner logic of Cubism"]],["interior","internal","intimate"]]],
+  input: [["noun",[["signal going into an electronic system"],["a statement that expresses a personal opinion or belief or adds information","from time to time she contributed a personal comment on his account"],["any stimulating information or event; acts to arouse action"]],["input signal","remark","comment","stimulation","stimulus"]],["verb",[["enter (data or a program) into a computer"]],[]]],
+  inter: [["verb",[["place in a grave or tomb","Stalin was buried behind the Kremlin wall on Red Square"]],["bury","entomb","inhume","lay to rest"]]],
+  intro: [["noun",[["formally making a person known to another or to the public"],["a brief introductory passage to a piece of popular music"]],["presentation","introduction"]]],
+  ionic: [["adjective",[["containing or involving or occurring in the form of ions","ionic charge"],["of or pertaining to the Ionic order of classical Greek architecture"],["of or relating to Ionia or its inhabitants or its language"]],[]],["noun",[["the dialect of Ancient Greek spoken and written in Attica and Athens and Ionia"]],[]]],
+  irate: [["adjective",[["feeling or showing extreme anger","irate protesters"]],["ireful"]]],
+  irony: [["noun",[["witty language used to convey insults or scorn","he used sarcasm to upset his opponent"],["incongruity between what might be expected and what actually occurs","the irony of Ireland's copying the nation she most hated"],["a trope that involves incongruity between what is expected and what occurs"]],["sarcasm","satire","caustic remark"]]],
+  islet: [["noun",[["a small island"]],["isle"]]],
+  issue: [["verb",[["prepare and issue for public distribution or sale","publish a magazine or newspaper"],["circulate or distribute or equip with","issue a new uniform to the children"],["bring out an official document (such as a warrant)"]],["publish","bring out","put out","release","supply"]],["noun",[["an important question that is in dispute and must be settled","the issue could be settled by requiring public education for everyone"],["one of a series published periodically","she found an old issue of the magazine in her dentist's waiting room"],["some situation or event that is thought about","he kept drifting off the topic"]],["number","topic","subject","matter"]]],
+  itchy: [["adjective",[["nervous and unable to relax","a constant fretful stamping of hooves"],["causing an irritating cutaneous sensation; being affect with an itch","he had an itchy toe from the mosquito bite"]],["antsy","fidgety","fretful"]]],
+  ivory: [["noun",[["a hard smooth ivory colored dentine that makes up most of the tusks of elephants and walruses"],["a shade of white the color of bleached bones"]],["tusk","bone","pearl","off-white"]]],
+  jaunt: [["noun",[["a journey taken for pleasure","many summer excursions to the shore"]],["excursion","outing","junket","pleasure trip","expedition"]],["verb",[["make a trip for pleasure"]],["travel","trip"]]],
+  jazzy: [["adjective",[["resembling jazz (especially in its rhythm)"],["(used especially of clothes) marked by conspicuous display"]],["flashy","gaudy","showy","sporty"]]],
+  jelly: [["noun",[["an edible jelly (sweet or pungent) made with gelatin and used as a dessert or salad base or a coating for foods"],["a preserve made of the jelled juice of fruit"],["any substance having the consistency of jelly or gelatin"]],["gelatin"]],["verb",[["make into jelly","jellify a liquid"]],["jellify"]]],
+  jerky: [["noun",[["meat (especially beef) cut in strips and dried in the sun"]],["jerked meat","jerk"]],["adjective",[["lacking a steady rhythm","an arrhythmic heartbeat"],["marked by abrupt transitions","choppy prose"],["having or revealing stupidity","ridiculous anserine behavior"]],["arrhythmic","jerking","choppy","anserine","dopy"]]],
+  jetty: [["noun",[["a protective structure of stone or concrete; extends from shore into the water to prevent a beach from washing away"]],["breakwater","groin","groyne","mole","bulwark"]]],
+  jewel: [["noun",[["a precious or semiprecious stone incorporated into a piece of jewelry"],["a person who is as brilliant and precious as a piece of jewelry"]],["gem","precious stone"]],["verb",[["adorn or decorate with precious stones","jeweled dresses"]],["bejewel"]]],
+  jiffy: [["noun",[["a very short time (as the time it takes the eye to blink or the heart to beat)","if I had the chance I'd do it in a flash"]],["blink of an eye","flash","heartbeat","instant","split second"]]],
+  joint: [["noun",[["(anatomy) the point of connection between two bones or elements of a skeleton (especially if it allows motion)"],["a disreputable place of entertainment"],["the shape or manner in which things come together and a connection is made"]],["articulation","articulatio","join","juncture","junction"]],["adjective",[["united or combined","a joint session of Congress"],["affecting or involving two or more","joint income-tax return"],["involving both houses of a legislature","a joint session of Congress"]],[]],["verb",[["fit as if by joints","The boards fit neatly"],["provide with a joint","the carpenter jointed two pieces of wood"],["fasten with a joint"]],["articulate"]]],
+  joist: [["noun",[["beam used to support floors or roofs"]],[]]],
+  joker: [["noun",[["a person who enjoys telling or playing jokes"],["a person who does something thoughtless or annoying","some joker is blocking the driveway"],["an inconspicuous clause in a document or bill that affects its meaning in a way that is not immediately apparent","when I demanded my money he showed me the joker in the contract"]],["jokester","turkey"]]],
+  jolly: [["adjective",[["full of or showing high-spirited merriment","when hearts were young and gay"]],["gay","jocund","jovial","merry","mirthful"]],["noun",[["a happy party"],["a yawl used by a ship's sailors for general work"]],["jolly boat"]],["verb",[["be silly or tease one another","After we relaxed, we just kidded around"]],["kid","chaff","josh","banter"]],["adverb",[["to certain extent or degree","pretty big"]],["reasonably","moderately","pretty","somewhat","fairly"]]],
+  joust: [["noun",[["a combat between two mounted knights tilting against each other with blunted lances"]],["tilt"]],["verb",[["joust against somebody in a tournament by fighting on horseback"]],[]]],
+  judge: [["verb",[["determine the result of (a competition)"],["form a critical opinion of","I cannot judge some works of modern art"],["judge tentatively or form an estimate of (quantities or time)","I estimate this chicken to weigh three pounds"]],["evaluate","pass judgment","estimate","gauge","approximate"]],["noun",[["a public official authorized to decide questions brought before a court of justice"],["an authority who is able to estimate worth or quality"]],["justice","jurist","evaluator"]]],
+  juice: [["noun",[["the liquid part that can be extracted from plant or animal tissue by squeezing or cooking"],["energetic vitality","her creative juices were flowing"],["electric current","when the wiring was finished they turned on the juice"]],[]]],
+  juicy: [["adjective",[["full of juice"],["having strong sexual appeal","juicy barmaids"],["lucrative","a juicy contract"]],["luscious","red-hot","toothsome","voluptuous","lush"]]],
+  jumbo: [["adjective",[["of great mass; huge and bulky","a jumbo jet"]],["elephantine","gargantuan","giant"]]],
+  jumpy: [["adjective",[["being in a tense state"],["causing or characterized by jolts and irregular movements","a rough ride"]],["edgy","high-strung","highly strung","jittery","nervy"]]],
+  junta: [["noun",[["a group of military officers who rule a country after seizing power"]],["military junta"]]],
+  junto: [["noun",[["a clique (often secret) that seeks power usually through intrigue"]],["cabal","faction","camarilla"]]],
+  juror: [["noun",[["someone who serves (or waits to be called to serve) on a jury"]],["juryman","jurywoman"]]],
+  kappa: [["noun",[["the 10th letter of the Greek alphabet"]],[]]],
+  karma: [["noun",[["(Hinduism and Buddhism) the effects of a person's actions that determine his destiny in his next incarnation"]],[]]],
+  kayak: [["noun",[["a small canoe consisting of a light frame made watertight with animal skins; used by Eskimos"]],[]],["verb",[["travel in a small canoe","we kayaked down the river"]],[]]],
+  kebab: [["noun",[["cubes of meat marinated and cooked on a skewer usually with vegetables"]],["kabob","shish kebab"]]],
+  khaki: [["adjective",[["of a yellowish brown color"]],[]],["noun",[["a sturdy twilled cloth of a yellowish brown color used especially for military uniforms"]],[]]],
+  kinky: [["adjective",[["(used of sexual behavior) showing or appealing to bizarre or deviant tastes","kinky sex"],["(of hair) in small tight curls"],["(informal) strikingly unconventional"]],["perverted","crisp","frizzly","frizzy","nappy"]]],
+  kiosk: [["noun",[["small area set off by walls for special use"]],["booth","cubicle","stall"]]],
+  kitty: [["noun",[["the combined stakes of the betters"],["the cumulative amount involved in a game (such as poker)"],["young domestic cat"]],["pool","pot","jackpot","kitten"]]],
+  knack: [["noun",[["a special way of doing something","he had a bent for it"]],["bent","hang"]]],
+  knave: [["noun",[["a deceitful and unreliable scoundrel"],["one of four face cards in a deck bearing a picture of a young prince"]],["rogue","rascal","rapscallion","scalawag","scallywag"]]],
+  knead: [["verb",[["make uniform","knead dough"],["manually manipulate (someone's body), usually for medicinal or relaxation purposes","She rubbed down her child with a sponge"]],["work","massage","rub down"]]],
+  kneel: [["verb",[["rest one's weight on one's knees","In church you have to kneel during parts of the service"]],[]],["noun",[["supporting yourself on your knees"]],["kneeling"]]],
+  knife: [["noun",[["edge tool used as a cutting instrument; has a pointed blade with a sharp edge and a handle"],["a weapon with a handle and blade with a sharp point"],["any long thin projection that is transient","tongues of flame licked at the walls"]],["tongue"]],["verb",[["use a knife on","The victim was knifed to death"]],["stab"]]],
+  knock: [["verb",[["deliver a sharp blow or push","He knocked the glass clear across the room"],["rap with the knuckles","knock on the door"],["knock against with force or violence","My car bumped into the tree"]],["strike hard","bump"]],["noun",[["the sound of knocking (as on a door or in an engine or bearing)","the knocking grew louder"],["negative criticism"],["a vigorous blow","the sudden knock floored him"]],["knocking","roast","bash","bang","smash"]]],
+  knoll: [["noun",[["a small natural hill"]],["mound","hillock","hummock","hammock"]]],
+  known: [["adjective",[["apprehended with certainty","a known quantity"]],[]]],
+  koala: [["noun",[["sluggish tailless Australian arboreal marsupial with grey furry ears and coat; feeds on eucalyptus leaves and bark"]],["koala bear","kangaroo bear","native bear"]]],
+  krill: [["noun",[["shrimp-like planktonic crustaceans; major source of food for e.g. baleen whales"]],[]]],
+  label: [["noun",[["a brief description given for purposes of identification","the label modern is applied to many different kinds of architecture"],["trade name of a company that produces musical recordings","the artists and repertoire department of a recording label is responsible for finding new talent"],["a radioactive isotope that is used in a compound in order to trace the mechanism of a chemical reaction"]],["recording label"]],["verb",[["assign a label to; designate with a label","These students were labelled `learning disabled'"],["attach a tag or label to","label these bottles"],["pronounce judgment on","They labeled him unfit to work here"]],["tag","mark","pronounce","judge"]]],
+  labor: [["noun",[["a social class comprising those who do manual labor or work for wages","there is a shortage of skilled labor in this field"],["productive work (especially physical work done for wages)","his labor did not require a great deal of skill"],["concluding state of pregnancy; from the onset of contractions to the birth of a child","she was in labor for six hours"]],["labour","working class","proletariat","toil","parturiency"]],["verb",[["strive and make an effort to reach a goal","She tugged for years to make a decent living"],["work hard","She was digging away at her math homework"],["undergo the efforts of childbirth"]],["tug","labour","push","drive","toil"]]],
+  laden: [["adjective",[["filled with a great quantity","a tray loaded with dishes"],["burdened psychologically or mentally","laden with grief"]],["loaded","ladened","oppressed"]],["verb",[["remove with or as if with a ladle","ladle the water out of the bowl"],["fill or place a load on","load a car"]],["ladle","lade","load","load up"]]],
+  ladle: [["noun",[["a spoon-shaped vessel with a long handle; frequently used to transfer liquids from one container to another"]],[]],["verb",[["put (a liquid) into a container by means of a ladle","ladle soup into the bowl"],["remove with or as if with a ladle","ladle the water out of the bowl"]],["lade","laden"]]],
+  lager: [["noun",[["a camp defended by a circular formation of wagons"],["a general term for beer made with bottom fermenting yeast (usually by decoction mashing); originally it was brewed in March or April and matured until September"]],["laager","lager beer"]]],
+  lance: [["noun",[["a long pointed rod used as a tool or weapon"],["an implement with a shaft and barbed point used for catching fish"],["a surgical knife with a pointed double-edged blade; used for punctures and small incisions"]],["spear","shaft","gig","fizgig","fishgig"]],["verb",[["move quickly, as if by cutting one's way","Planes lanced towards the shore"],["pierce with a lance, as in a knights' fight"],["open by piercing with a lancet","lance a boil"]],[]]],
+  lanky: [["adjective",[["tall and thin and having long slender limbs","a gangling teenager"],["tall and thin"]],["gangling","gangly","rangy"]]],
+  lapel: [["noun",[["lap at the front of a coat; continuation of the coat collar"]],[]]],
+  lapse: [["verb",[["pass into a specified state or condition","He sank into nirvana"],["end, at least for a long time","The correspondence lapsed"],["drop to a lower level, as in one's morals or standards"]],["sink","pass","backslide"]],["noun",[["a mistake resulting from inattention"],["a break or intermission in the occurrence of something","a lapse of three weeks between letters"],["a failure to maintain a higher state"]],["oversight","backsliding","lapsing","relapse","relapsing"]]],
+  large: [["adjective",[["above average in size or number or quantity or magnitude or extent","a large city"],["fairly large or important in effect; influential","played a large role in the negotiations"],["ostentatiously lofty in style","a man given to large talk"]],["big","bombastic","declamatory","orotund","tumid"]],["noun",[["a garment size for a large person"]],[]],["adverb",[["at a distance, wide of something (as of a mark)"],["with the wind abaft the beam","a ship sailing large"],["in a boastful manner","he talked big all evening"]],["boastfully","vauntingly","big"]]],
+  larva: [["noun",[["the immature free-living form of most invertebrates and amphibians and fish which at hatching from the egg is fundamentally unlike its parent and must metamorphose"]],[]]],
+  lasso: [["noun",[["a long noosed rope used to catch animals"],["Belgian composer (1532-1594)"]],["lariat","riata","reata"]],["verb",[["catch with a lasso","rope cows"]],["rope"]]],
+  latch: [["verb",[["fasten with a latch","latch the door"]],[]],["noun",[["spring-loaded doorlock that can only be opened from the outside with a key"],["catch for fastening a door or gate; a bar that can be lowered or slid into a groove"]],["door latch"]]],
+  later: [["adverb",[["happening at a time subsequent to a reference time","he apologized subsequently"],["at some eventual time in the future","By and by he'll understand"],["comparative of the adverb `late'","he stayed later than you did"]],["subsequently","afterwards","afterward","after","later on"]],["adjective",[["coming at a subsequent time or stage","without ulterior argument"],["at or toward an end or late period or stage of development","the late phase of feudalism"]],["ulterior","posterior","late"]]],
+  lathe: [["noun",[["machine tool for shaping metal or wood; the workpiece turns about a horizontal axis against a fixed tool"]],[]]],
+  latte: [["noun",[["strong espresso coffee with a topping of frothed steamed milk"]],["caffe latte"]]],
+  laugh: [["noun",[["the sound of laughing"],["a facial expression characteristic of a person laughing","his face wrinkled in a silent laugh of derision"],["a humorous anecdote or remark intended to provoke laughter","he told a very funny joke"]],["laughter","joke","gag","jest","jape"]],["verb",[["produce laughter"]],["express joy","express mirth"]]],
+  layer: [["noun",[["single thickness of usually some homogeneous substance","slices of hard-boiled egg on a bed of spinach"],["a relatively thin sheetlike expanse or region lying over or under another"],["an abstract place usually conceived as having depth","a good actor communicates on several levels"]],["bed","level","stratum"]],["verb",[["make or form a layer","layer the different colored sands"]],[]]],
+  leach: [["noun",[["the process of leaching"]],["leaching"]],["verb",[["cause (a liquid) to leach or percolate"],["permeate or penetrate gradually","the fertilizer leached into the ground"],["remove substances from by a percolating liquid","leach the soil"]],["percolate","strip"]]],
+  leafy: [["adjective",[["having or covered with leaves","leafy trees"]],[]]],
+  leaky: [["adjective",[["permitting the unwanted passage of fluids or gases","a leaky roof"],["used informally; unable to retain urine"],["prone to communicate confidential information"]],["blabbermouthed","talebearing","tattling"]]],
+  learn: [["verb",[["gain knowledge or skills","She learned dancing from her sister"],["get to know or become aware of, usually accidentally","I learned that she has two grown-up children"],["commit to memory; learn by heart","Have you memorized your lines for the play yet?"]],["larn","acquire","hear","get word","get wind"]]],
+  lease: [["noun",[["property that is leased or rented out or let"],["a contract granting use or occupation of property during a specified time for a specified payment"],["the period of time during which a contract conveying property to a person is in effect"]],["rental","letting","term of a contract"]],["verb",[["let for money","We rented our apartment to friends while we were abroad"],["hold under a lease or rental agreement; of goods and services"],["grant use or occupation of under a term of contract","I am leasing my country estate to some foreigners"]],["rent","hire","charter","let"]]],
+  leash: [["noun",[["restraint consisting of a rope (or light chain) used to restrain an animal"],["the cardinal number that is the sum of one and one and one"],["a figurative restraint","asked for a collar on program trading in the stock market"]],["tether","lead","three","3","trio"]],["verb",[["fasten with a rope","rope the bag securely"]],["rope"]]],
+  least: [["adjective",[["the superlative of `little' that can be used with mass nouns and is usually preceded by `the'; a quantifier meaning smallest in amount or extent or degree","didn't care the least bit"]],[]],["adverb",[["used to form the superlative","The garter snake is the least dangerous snake"]],["to the lowest degree"]],["noun",[["something that is of no importance","it is the least I can do"]],[]]],
+  leave: [["verb",[["go away from a place","At what time does your train leave?"],["go and leave behind, either intentionally or by neglect or forgetfulness","She left a mess when she moved out"],["act or be so as to become in a specified state","The inflation left them penniless"]],["go forth","go away"]],["noun",[["the period of time during which you are absent from work or duty","a ten day's leave to visit his mother"],["permission to do something","she was granted leave to speak"],["the act of departing politely","he disliked long farewells"]],["leave of absence","farewell","leave-taking","parting"]]],
+  ledge: [["noun",[["a projecting ridge on a mountain or submerged under water"]],["shelf"]]],
+  leech: [["noun",[["carnivorous or bloodsucking aquatic or terrestrial worms typically having a sucker at each end"],["a follower who hangs around a host (without benefit to the host) in hope of gain or advantage"]],["bloodsucker","hirudinean","parasite","sponge","sponger"]],["verb",[["draw blood","In the old days, doctors routinely bled patients as part of the treatment"]],["bleed","phlebotomize","phlebotomise"]]],
+  leery: [["adjective",[["openly distrustful and unwilling to confide"]],["mistrustful","suspicious","untrusting","wary"]]],
+  lefty: [["noun",[["a person who uses the left hand with greater skill than the right","their pitcher was a southpaw"],["a baseball pitcher who throws the ball with the left hand"]],["left-hander","southpaw","left-handed pitcher","left hander","lefthander"]]],
+  legal: [["adjective",[["established by or founded upon law or official or accepted rules"],["of or relating to jurisprudence","legal loophole"],["having legal efficacy or force","a sound title to the property"]],["sound","effectual"]]],
+  leggy: [["adjective",[["(of plants) having tall spindly stems"],["having long legs"]],["tall-growing","long-legged","long-shanked"]]],
+  lemon: [["noun",[["yellow oval fruit with juicy acidic flesh"],["a strong yellow color"],["a small evergreen tree that originated in Asia but is widely cultivated for its fruit"]],["gamboge","lemon yellow","maize","lemon tree"]]],
+  lemur: [["noun",[["large-eyed arboreal prosimian having foxy faces and long furry tails"]],[]]],
+  leper: [["noun",[["a person afflicted with leprosy"],["a pariah who is avoided by others"]],["lazar"]]],
+  level: [["noun",[["a position on a scale of intensity or amount or quality","a moderate grade of intelligence"],["a relative position or degree of value in a graded group","lumber of the highest grade"],["a specific identifiable position in a continuum or series or especially in a process","a remarkable degree of frankness"]],["degree","grade","tier","stage","point"]],["adjective",[["having a surface without slope, tilt in which no part is higher or lower than another","a flat desk"],["not showing abrupt variations","spoke in a level voice"],["being on a precise horizontal plane","a billiard table must be level"]],["flat","plane","unwavering"]],["verb",[["aim at","level criticism or charges at somebody"],["tear down so as to make flat with the ground","The building was levelled"],["make level or straight","level the ground"]],["raze","rase","dismantle","tear down","take down"]]],
+  lever: [["noun",[["a rigid bar pivoted about a fulcrum"],["a simple machine that gives a mechanical advantage when given a fulcrum"],["a flat metal tumbler in a lever lock"]],["lever tumbler"]],["verb",[["to move or force, especially in an effort to get something open","The burglar jimmied the lock"]],["pry","prise","prize","jimmy"]]],
+  libel: [["noun",[["a false and malicious publication printed for the purpose of defaming a living person"],["the written statement of a plaintiff explaining the cause of action (the defamation) and any relief he seeks"]],[]],["verb",[["print slanderous statements against","The newspaper was accused of libeling him"]],[]]],
+  liege: [["noun",[["a person holding a fief; a person who owes allegiance and service to a feudal lord"],["a feudal lord entitled to allegiance and service"],["city in eastern Belgium; largest French-speaking city in Belgium"]],["vassal","liegeman","liege subject","feudatory","liege lord"]],["adjective",[["owing or owed feudal allegiance and service","one's liege lord"]],[]]],
+  light: [["noun",[["(physics) electromagnetic radiation that can produce a visual sensation","the light was filtered through a soft glass window"],["any device serving as a source of illumination","he stopped the car and turned off the lights"],["a particular perspective or aspect of a situation","although he saw it in a different light, he still did not understand"]],["visible light","visible radiation","light source"]],["adjective",[["of comparatively little physical weight or density","a light load"],["(used of color) having a relatively small amount of coloring agent","light blue"],["of the military or industry; using (or being) relatively small or light arms or equipment","light infantry"]],["light-colored"]],["verb",[["make lighter or brighter","This lamp lightens the room a bit"],["begin to smoke","After the meal, some of the diners lit up"],["to come to rest, settle","Misfortune lighted upon him"]],["illume","illumine","light up","illuminate","fire up"]],["adverb",[["with few burdens","experienced travellers travel light"]],["lightly"]]],
+  liken: [["verb",[["consider or describe as similar, equal, or analogous","We can compare the Han dynasty to the Romans"]],["compare","equate"]]],
+  lilac: [["noun",[["any of various plants of the genus Syringa having large panicles of usually fragrant flowers"]],[]],["adjective",[["of a pale purple color"]],["lavender","lilac-colored"]]],
+  limbo: [["noun",[["the state of being disregarded or forgotten"],["an imaginary place for lost or neglected things"],["(theology) in Roman Catholicism, the place of unbaptized but innocent or righteous souls (such as infants and virtuous individuals)"]],["oblivion"]]],
+  limit: [["noun",[["the greatest possible degree of something","what he did was beyond the bounds of acceptable behavior"],["final or latest limiting point"],["as far as something can go"]],["bound","boundary","terminus ad quem","terminal point"]],["verb",[["place limits on (extent or amount or access)","restrict the use of this parking lot"],["restrict or confine within limits","I limit you to two visits to the pub a day"],["decide upon or fix definitely","fix the variables"]],["restrict","trammel","bound","confine","throttle"]]],
+  linen: [["noun",[["a fabric woven with fibers from the flax plant"],["a high-quality paper made of linen fibers or with a linen finish"],["white goods or clothing made with linen cloth"]],["linen paper"]]],
+  liner: [["noun",[["(baseball) a hit that flies straight out from the batter","the batter hit a liner to the shortstop"],["a protective covering that protects an inside surface"],["a piece of cloth that is used as the inside surface of a garment"]],["line drive","lining"]]],
+  lingo: [["noun",[["a characteristic language of a particular group (as among thieves)","they don't speak our lingo"]],["slang","cant","jargon","argot","patois"]]],
+  lipid: [["noun",[["an oily organic compound insoluble in water but soluble in organic solvents; essential structural component of living cells (along with proteins and carbohydrates)"]],["lipide","lipoid"]]],
+  lithe: [["adjective",[["gracefully thin and bending and moving with ease"]],["lissome","lissom","lithesome","supple","sinuous"]]],
+  liver: [["noun",[["large and complicated reddish-brown glandular organ located in the upper right portion of the abdominal cavity; secretes bile and functions in metabolism of protein and carbohydrate and fat; synthesizes substances involved in the clotting of the blood; synthesizes vitamin A; detoxifies poisonous substances and breaks down worn-out erythrocytes"],["liver of an animal used as meat"],["a person who has a special life style","a high liver"]],[]],["adjective",[["having a reddish-brown color"]],["liver-colored"]]],
+  livid: [["adjective",[["anemic looking from illness or emotion","a face turned ashen"],["(of a light) imparting a deathlike luminosity","livid lightning streaked the sky"],["furiously angry","willful stupidity makes him absolutely livid"]],["ashen","blanched","bloodless","white"]]],
+  llama: [["noun",[["wild or domesticated South American cud-chewing animal related to camels but smaller and lacking a hump"]],[]]],
+  loamy: [["adjective",[["consisting of or having the character of loam","richy loamy soil"]],[]]],
+  loath: [["adjective",[["unwillingness to do something contrary to your custom","a reluctant smile"],["(usually followed by `to') strongly opposed","antipathetic to new ideas"]],["loth","reluctant","antipathetic","antipathetical","averse"]]],
+  lobby: [["noun",[["a large entrance or reception room or area"],["the people who support some common cause or business or principle or sectional interest"],["an interest group that tries to influence legislators or bureaucrats to act in their favor, typically through lobbying"]],["anteroom","antechamber","entrance hall","hall","foyer"]],["verb",[["detain in conversation by or as if by holding on to the outer garments of; as for political or economic favors"]],["buttonhole"]]],
+  local: [["adjective",[["relating to or applicable to or concerned with the administration of a city or town or district rather than a larger area","local taxes"],["of or belonging to or characteristic of a particular locality or neighborhood","local customs"],["affecting only a restricted part or area of the body","local anesthesia"]],[]],["noun",[["public transport consisting of a bus or train that stops at all stations or stops","the local seemed to take forever to get to New York"],["anesthetic that numbs a particular area of the body"]],["local anesthetic","local anaesthetic","topical anesthetic","topical anaesthetic"]]],
+  locus: [["noun",[["the scene of any event or action (especially the place of a meeting)"],["the specific site of a particular gene on its chromosome"],["the set of all points or lines that satisfy or are determined by specific conditions","the locus of points equidistant from a given point is a circle"]],["venue","locale"]]],
+  lodge: [["verb",[["be a lodger; stay temporarily","Where are you lodging in Paris?"],["put, fix, force, or implant","lodge a bullet in the table"],["file a formal charge against","The suspect was charged with murdering his wife"]],["wedge","stick","deposit","charge","file"]],["noun",[["a formal association of people with similar interests","he joined a golf club"],["small house at the entrance to the grounds of a country mansion; usually occupied by a gatekeeper or gardener"],["a small (rustic) house used as a temporary shelter"]],["club","social club","society","guild","gild"]]],
+  lofty: [["adjective",[["of high moral or intellectual value; elevated in nature or style","an exalted ideal"],["of imposing height; especially standing out above others","an eminent peak"],["having or displaying great dignity or nobility","a gallant pageant"]],["exalted","elevated","sublime","grand","high-flown"]]],
+  logic: [["noun",[["the branch of philosophy that analyzes inference"],["reasoned and reasonable judgment","it made a certain kind of logic"],["the principles that guide reasoning within a given field or situation","economic logic requires it"]],[]]],
+  loopy: [["adjective",[["consisting of or covered with or having loops"],["informal or slang terms for mentally irregular","it used to drive my husband balmy"]],["balmy","barmy","bats","batty","bonkers"]]],
+  loose: [["adjective",[["not compact or dense in structure or arrangement","loose gravel"],["(of a ball in sport) not in the possession or control of any player","a loose ball"],["not tight; not closely constrained or constricted or constricting","loose clothing"]],[]],["verb",[["grant freedom to; free from confinement"],["turn loose or free from restraint","let loose mines"],["make loose or looser","loosen the tension on a rope"]],["free","liberate","release","unloose","unloosen"]],["adverb",[["without restraint","cows in India are running loose"]],["free"]]],
+  lorry: [["noun",[["a large low horse-drawn wagon without sides"],["a large truck designed to carry heavy loads; usually without sides"]],["camion"]]],
+  loser: [["noun",[["a contestant who loses the contest"],["a person with a record of failing; someone who loses consistently"],["a gambler who loses a bet"]],["also-ran","failure","nonstarter","unsuccessful person"]]],
+  louse: [["noun",[["wingless usually flattened bloodsucking insect parasitic on warm-blooded animals"],["a person who has a nasty or unethical character undeserving of respect"],["any of several small insects especially aphids that feed by sucking the juices from plants"]],["sucking louse","worm","insect","dirt ball","plant louse"]]],
+  lousy: [["adjective",[["very bad","a lousy play"],["infested with lice","burned their lousy clothes"],["vile; despicable","a dirty (or lousy) trick"]],["icky","crappy","rotten","shitty","stinking"]]],
+  lover: [["noun",[["a person who loves someone or is loved by someone"],["an ardent follower and admirer"],["a significant other to whom you are not related by marriage"]],["fan","buff","devotee"]]],
+  lower: [["verb",[["move something or somebody to a lower position","take down the vase from the shelf"],["set lower","lower a rating"],["make lower or quieter","turn down the volume of a radio"]],["take down","let down","get down","bring down","lour"]],["noun",[["the lower of two berths"]],["lower berth"]]],
+  lowly: [["adjective",[["low or inferior in station or quality","a humble cottage"],["inferior in rank or status","the junior faculty"],["used of unskilled work (especially domestic work)"]],["humble","low","modest","small","junior-grade"]]],
+  loyal: [["adjective",[["steadfast in allegiance or duty","loyal subjects"],["inspired by love for your country"],["unwavering in devotion to friend or vow or cause","a firm ally"]],["patriotic","firm","truehearted","fast"]]],
+  lucid: [["adjective",[["(of language) transparently clear; easily understandable","writes in a limpid style"],["having a clear mind","a lucid moment in his madness"],["capable of thinking and expressing yourself in a clear and consistent manner","a lucid thinker"]],["limpid","luculent","pellucid","crystal clear","perspicuous"]]],
+  lucky: [["adjective",[["occurring by chance","a lucky escape"],["having or bringing good fortune","my lucky day"],["presaging or likely to bring good luck or a good outcome","a favorable time to ask for a raise"]],["golden","favorable","favourable","prosperous"]]],
+  lumen: [["noun",[["a unit of luminous flux equal to the amount of light given out through a solid angle of 1 steradian by a point source of 1 candela intensity radiating uniformly in all directions"],["a cavity or passage in a tubular organ","the lumen of the intestine"]],["lm"]]],
+  lumpy: [["adjective",[["like or containing small sticky lumps","the dumplings were chunky pieces of uncooked dough"],["having lumps; not smooth and even in texture","lumpy gravy"]],["chunky"]]],
+  lunar: [["adjective",[["of or relating to or associated with the moon","lunar surface"]],[]]],
+  lunch: [["noun",[["a midday meal"]],["luncheon","tiffin","dejeuner"]],["verb",[["take the midday meal","At what time are you lunching?"],["provide a midday meal for","She lunched us well"]],[]]],
+  lunge: [["noun",[["the act of moving forward suddenly"],["(fencing) an attacking thrust made with one foot forward and the back leg straight and with the sword arm outstretched forward"]],["lurch","straight thrust","passado"]],["verb",[["make a thrusting forward movement"]],["hurl","hurtle","thrust"]]],
+  lupus: [["noun",[["any of several forms of ulcerative skin disease"],["a constellation in the southern hemisphere near Centaurus"]],[]]],
+  lurch: [["verb",[["walk as if unable to control one's movements","The drunken man staggered into the room"],["move abruptly","The ship suddenly lurched to the left"],["move slowly and unsteadily","The truck lurched down the road"]],["stagger","reel","keel","swag","careen"]],["noun",[["an unsteady uneven gait"],["a decisive defeat in a game (especially in cribbage)"],["abrupt up-and-down motion (as caused by a ship or other conveyance)","the pitching and tossing was quite exciting"]],["stumble","stagger","pitch","pitching"]]],
+  lurid: [["adjective",[["horrible in fierceness or savagery","lurid crimes"],["glaringly vivid and graphic; marked by sensationalism","lurid details of the accident"],["shining with an unnatural red glow as of fire seen through smoke","a lurid sunset"]],["shocking"]]],
+  lusty: [["adjective",[["vigorously passionate"],["endowed with or exhibiting great bodily or mental health","a hearty glow of health"]],["lustful","concupiscent","hearty","full-blooded","red-blooded"]]],
+  lying: [["noun",[["the deliberate act of deviating from the truth"]],["prevarication","fabrication"]]],
+  lymph: [["noun",[["a thin coagulable fluid (similar to plasma but) containing white blood cells (lymphocytes) and chyle; is conveyed to the blood stream by lymphatic vessels"]],[]]],
+  lynch: [["verb",[["kill without legal sanction","The blood-thirsty mob lynched the alleged killer of the child"]],[]]],
+  lyric: [["adjective",[["expressing deep emotion","the dancer's lyrical performance"],["used of a singer or singing voice that is light in volume and modest in range","a lyric soprano"],["relating to or being musical drama","the lyric stage"]],["lyrical"]],["noun",[["the text of a popular song or musical-comedy number","his compositions always started with the lyrics"],["a short poem of songlike quality"]],["words","language","lyric poem"]],["verb",[["write lyrics for (a song)"]],[]]],
+  macaw: [["noun",[["long-tailed brilliantly colored parrot of Central America and South America; among the largest and showiest of parrots"]],[]]],
+  macho: [["noun",[["a male exhibiting or characterized by machismo"]],[]],["adjective",[["used of men; markedly masculine in appearance or manner"]],["butch"]]],
+  macro: [["noun",[["a single computer instruction that results in a series of instructions in machine language"]],["macro instruction"]],["adjective",[["very large in scale or scope or capability"]],[]]],
+  madam: [["noun",[["a woman of refinement","a chauffeur opened the door of the limousine for the grand lady"],["a woman who runs a house of prostitution"]],["dame","ma'am","lady","gentlewoman","brothel keeper"]]],
+  madly: [["adverb",[["in an uncontrolled manner","she fought back madly"],["in an insane manner","she behaved insanely"],["(used as intensives) extremely","she was madly in love"]],["frantically","insanely","crazily","dementedly","deadly"]]],
+  mafia: [["noun",[["any tightly knit group of trusted associates"],["a crime syndicate in the United States; organized in families; believed to have important relations to the Sicilian Mafia"],["a secret terrorist group in Sicily; originally opposed tyranny but evolved into a criminal organization in the middle of the 19th century"]],["maffia"]]],
+  magic: [["noun",[["any art that invokes supernatural powers"],["an illusory feat; considered magical by naive observers"]],["thaumaturgy","magic trick","conjuring trick","trick","legerdemain"]],["adjective",[["possessing or using or characteristic of or appropriate to supernatural powers","charming incantations"]],["charming","magical","sorcerous","witching","wizard"]]],
+  magma: [["noun",[["molten rock in the earth's crust"]],[]]],
+  maize: [["noun",[["tall annual cereal grass bearing kernels on large ears: widely cultivated in America in many varieties; the principal cereal in Mexico and Central and South America since pre-Columbian times"],["a strong yellow color"]],["corn","gamboge","lemon","lemon yellow"]]],
+  major: [["adjective",[["of greater importance or stature or rank","a major artist"],["greater in scope or effect","a major contribution"],["greater in number or size or amount","a major portion (a majority) of the population"]],[]],["noun",[["a commissioned military officer in the United States Army or Air Force or Marines; below lieutenant colonel and above captain"],["a university student who is studying a particular field as the principal subject","she is a linguistics major"],["the principal field of study of a student at a university","her major is linguistics"]],[]],["verb",[["have as one's principal field of study","She is majoring in linguistics"]],[]]],
+  maker: [["noun",[["a person who makes things"],["a business engaged in manufacturing some product"],["terms referring to the Judeo-Christian God"]],["shaper","manufacturer","manufacturing business"]]],
+  mambo: [["noun",[["a Latin American dance similar in rhythm to the rumba"]],[]],["verb",[["dance a mambo"]],[]]],
+  mamma: [["noun",[["informal terms for a mother"],["milk-secreting organ of female mammals"]],["ma","mama","mom","momma","mommy"]]],
+  mammy: [["noun",[["an offensive term for a Black nursemaid in the southern U.S."],["informal terms for a mother"]],["ma","mama","mamma","mom","momma"]]],
+  manga: [["noun",[["graphic novel that originated in Japan, usually intended for adults and characterized by highly stylized art"]],[]]],
+  mange: [["noun",[["a persistent and contagious disease of the skin causing inflammation and itching and loss of hair; affects domestic animals (and sometimes people)"]],[]]],
+  mango: [["noun",[["large evergreen tropical tree cultivated for its large oval fruit"],["large oval tropical fruit having smooth skin, juicy aromatic pulp, and a large hairy seed"]],["mango tree"]]],
+  mangy: [["adjective",[["having many worn or threadbare spots in the nap","a mangy carpet"]],["mangey"]]],
+  mania: [["noun",[["an irrational but irresistible motive for a belief or action"],["a mood disorder; an affective disorder in which the victim tends to respond excessively and sometimes violently"]],["passion","cacoethes","manic disorder"]]],
+  manic: [["adjective",[["affected with or marked by frenzy or mania uncontrolled by reason","a frenzied attack"]],["frenzied"]]],
+  manly: [["adjective",[["possessing qualities befitting a man"],["characteristic of a man","a deep male voice"]],["manful","manlike","male","virile"]],["adverb",[["in a manful manner; with qualities thought to befit a man","having said her say Peggy manfully shouldered her burden and prepared to break up yet another home"]],["manfully"]]],
+  manor: [["noun",[["the mansion of a lord or wealthy person"],["the landed estate of a lord (including the house on it)"]],["manor house"]]],
+  maple: [["noun",[["wood of any of various maple trees; especially the hard close-grained wood of the sugar maple; used especially for furniture and flooring"],["any of numerous trees or shrubs of the genus Acer bearing winged seeds in pairs; north temperate zone"]],[]]],
+  march: [["verb",[["march in a procession","They processed into the dining room"],["force to march","The Japanese marched their prisoners through Manchuria"],["walk fast, with regular or measured steps; walk with a stride","He marched into the classroom and announced the exam"]],["process"]],["noun",[["the act of marching; walking with regular steps (especially in a procession of some kind)","it was a long march"],["a steady advance","the march of science"],["a procession of people walking together","the march went up Fifth Avenue"]],["marching"]]],
+  marry: [["verb",[["take in marriage"],["perform a marriage ceremony","The minister married us on Saturday"]],["get married","wed","conjoin","hook up with","get hitched with"]]],
+  marsh: [["noun",[["low-lying wet land with grassy vegetation; usually is a transition zone between land and water","thousands of acres of marshland"],["United States painter (1898-1954)"],["New Zealand writer of detective stories (1899-1982)"]],["marshland","fen","fenland"]]],
+  mason: [["noun",[["a craftsman who works with stone or brick"],["American Revolutionary leader from Virginia whose objections led to the drafting of the Bill of Rights (1725-1792)"],["English film actor (1909-1984)"]],["stonemason"]]],
+  masse: [["noun",[["a shot in billiards made by hitting the cue ball with the cue held nearly vertically; the cue ball spins around another ball before hitting the object ball"]],["masse shot"]]],
+  match: [["verb",[["be compatible, similar or consistent; coincide in their characteristics","The two stories don't agree in many details"],["provide funds complementary to","The company matched the employees' contributions"],["bring two objects, ideas, or people together","This fact is coupled to the other one"]],["fit","correspond","check","jibe","gibe"]],["noun",[["lighter consisting of a thin piece of wood or cardboard tipped with combustible chemical; ignites with friction","he always carries matches to light his pipe"],["a formal contest in which two or more persons or teams compete"],["a burning piece of wood or cardboard","if you drop a match in there the whole place will explode"]],["lucifer","friction match"]]],
+  matey: [["adjective",[["(used colloquially) having the relationship of friends or pals"]],["chummy","pally","palsy-walsy"]]],
+  mauve: [["adjective",[["of a pale to moderate greyish violet color"]],[]],["noun",[["a moderate purple"]],[]]],
+  maxim: [["noun",[["a saying that is widely accepted on its own merits"],["English inventor (born in the United States) who invented the Maxim gun that was used in World War I (1840-1916)"]],["axiom"]]],
+  maybe: [["adverb",[["by chance","perhaps she will call tomorrow"]],["possibly","perchance","perhaps","mayhap","peradventure"]]],
+  mayor: [["noun",[["the head of a city government"]],["city manager"]]],
+  mealy: [["adjective",[["containing meal or made of meal"],["composed of or covered with particles resembling meal in texture or consistency","granular sugar"]],["farinaceous","coarse-grained","grainy","granular","granulose"]]],
+  meaty: [["adjective",[["like or containing meat","enough of vegetarianism; let's have a meaty meal"],["being on topic and prompting thought","a meaty discussion"]],["substantive"]]],
+  mecca: [["noun",[["a place that attracts many visitors","New York is a mecca for young artists"],["joint capital (with Riyadh) of Saudi Arabia; located in western Saudi Arabia; as the birthplace of Muhammad it is the holiest city of Islam"]],[]]],
+  medal: [["noun",[["an award for winning a championship or commemorating some other event"]],["decoration","laurel wreath","medallion","palm","ribbon"]]],
+  medic: [["noun",[["any of several Old World herbs of the genus Medicago having small flowers and trifoliate compound leaves"],["a medical practitioner in the armed forces"]],["medick","trefoil","medical officer"]]],
+  melee: [["noun",[["a noisy riotous fight"]],["scrimmage","battle royal"]]],
+  melon: [["noun",[["any of numerous fruits of the gourd family having a hard rind and sweet juicy flesh"],["any of various fruit of cucurbitaceous vines including: muskmelons; watermelons; cantaloupes; cucumbers"]],["melon vine"]]],
+  mercy: [["noun",[["leniency and compassion shown toward offenders by a person or agency charged with administering justice","he threw himself on the mercy of the court"],["a disposition to be kind and forgiving","in those days a wife had to depend on the mercifulness of her husband"],["the feeling that motivates compassion"]],["clemency","mercifulness"]]],
+  merge: [["verb",[["become one","Germany unified officially in 1990"],["mix together different elements","The colors blend well"],["join or combine","We merged our resources"]],["unify","unite","blend","flux","mix"]]],
+  merit: [["noun",[["any admirable quality or attribute","work of great merit"],["the quality of being deserving (e.g., deserving assistance)","there were many children whose deservingness he recognized and rewarded"]],["virtue","deservingness","meritoriousness"]],["verb",[["be worthy or deserving","You deserve a promotion after all the hard work you have done"]],["deserve"]]],
+  merry: [["adjective",[["full of or showing high-spirited merriment","when hearts were young and gay"],["offering fun and gaiety","a festive (or festal) occasion"],["quick and energetic","a brisk walk in the park"]],["gay","jocund","jolly","jovial","mirthful"]]],
+  metal: [["noun",[["any of several chemical elements that are usually shiny solids that conduct heat or electricity and can be formed into sheets etc."],["a mixture containing two or more metallic elements or metallic and nonmetallic elements usually fused together or dissolving into each other when molten","brass is an alloy of zinc and copper"]],["metallic element","alloy"]],["adjective",[["containing or made of or resembling or characteristic of a metal","a metallic compound"]],["metallic"]],["verb",[["cover with metal"]],[]]],
+  meter: [["noun",[["the basic unit of length adopted under the Systeme International d'Unites (approximately 1.094 yards)"],["any of various measuring instruments for measuring a quantity"],["(prosody) the accent in a metrical foot of verse"]],["metre","m","measure","beat","cadence"]],["verb",[["measure with a meter","meter the flow of water"],["stamp with a meter indicating the postage","meter the mail"]],[]]],
+  metro: [["noun",[["an electric railway operating below the surface of the ground (usually in a city)","in Paris the subway system is called the `metro' and in London it is called the `tube' or the `underground'"]],["tube","underground","subway system","subway"]]],
+  micro: [["adjective",[["extremely small in scale or scope or capability"]],[]]],
+  midge: [["noun",[["minute two-winged mosquito-like fly lacking biting mouthparts; appear in dancing swarms especially near water"]],[]]],
+  midst: [["noun",[["the location of something surrounded by other things","in the midst of the crowd"]],["thick"]]],
+  might: [["noun",[["physical strength"]],["mightiness","power"]]],
+  milky: [["adjective",[["resembling milk in color; not clear","milky glass"]],["milklike","whitish"]]],
+  mimic: [["noun",[["someone who mimics (especially an actor or actress)"]],["mimicker"]],["verb",[["imitate (a person or manner), especially for satirical effect","The actor mimicked the President very accurately"]],["mime"]],["adjective",[["constituting an imitation","the mimic warfare of the opera stage"]],[]]],
+  mince: [["verb",[["make less severe or harsh","He moderated his tone when the students burst out in tears"],["walk daintily","She minced down the street"],["cut into small pieces","mince the garlic"]],["soften","moderate"]],["noun",[["food chopped into small bits","a mince of mushrooms"]],[]]],
+  miner: [["noun",[["laborer who works in a mine"]],["mineworker"]]],
+  minim: [["noun",[["a British imperial capacity measure (liquid or dry) equal to 1/60th fluid dram or 0.059194 cubic centimeters"],["a United States liquid unit equal to 1/60 fluidram"],["a musical note having the time value of half a whole note"]],["half note"]]],
+  minor: [["adjective",[["of lesser importance or stature or rank","a minor poet"],["lesser in scope or effect","had minor differences"],["inferior in number or size or amount","a minor share of the profits"]],[]],["noun",[["a young person of either sex","she writes books for children"]],["child","kid","youngster","shaver","nipper"]],["verb",[["have as one's secondary field of study","in collee she minored in mathematics"]],[]]],
+  minty: [["adjective",[["relating to or suggestive of mint"],["of the flavor of mint, particularly peppermint"]],[]]],
+  minus: [["noun",[["an arithmetic operation in which the difference between two numbers is calculated","the subtraction of three from four leaves one"]],["subtraction"]],["adjective",[["on the negative side or lower end of a scale","minus 5 degrees"],["involving disadvantage or harm","minus (or negative) factors"]],["negative"]]],
+  mirth: [["noun",[["great merriment"]],["hilarity","mirthfulness","glee","gleefulness"]]],
+  miser: [["noun",[["a stingy hoarder of money and possessions (often living miserably)"]],[]]],
+  missy: [["noun",[["a young female","a young lady of 18"]],["girl","miss","young lady","young woman","fille"]]],
+  mocha: [["noun",[["soft suede glove leather from goatskin"],["a flavoring made from coffee mixed with chocolate"],["a superior dark coffee made from beans from Arabia"]],["mocha coffee"]]],
+  modal: [["adjective",[["relating to or constituting the most frequent value in a distribution","the modal age at which American novelists reach their peak is 30"],["of or relating to a musical mode; especially written in an ecclesiastical mode"],["relating to or expressing the mood of a verb","modal auxiliary"]],["average"]],["noun",[["an auxiliary verb (such as `can' or `will') that is used to express modality"]],["modal auxiliary verb","modal auxiliary","modal verb"]]],
+  model: [["noun",[["a hypothetical description of a complex entity or process","the computer program was based on a model of the circulatory and respiratory systems"],["a type of product","his car was an old model"],["a person who poses for a photographer or painter or sculptor","the president didn't have time to be a model so the artist worked from photos"]],["theoretical account","framework","poser"]],["verb",[["plan or create according to a model or models"],["form in clay, wax, etc","model a head with clay"],["assume a posture as for artistic purposes","We don't know the woman who posed for Leonardo so often"]],["pattern","mold","mould","pose","sit"]],["adjective",[["worthy of imitation","exemplary behavior"]],["exemplary"]]],
+  modem: [["noun",[["(from a combination of MOdulate and DEModulate) electronic equipment consisting of a device used to connect computers by a telephone line"]],[]]],
+  mogul: [["noun",[["a bump on a ski slope"],["a very wealthy or powerful businessman","an oil baron"],["a member of the Muslim dynasty that ruled India until 1857"]],["baron","big businessman","business leader","king","magnate"]]],
+  moist: [["adjective",[["slightly wet","clothes damp with perspiration"]],["damp","dampish"]]],
+  molar: [["noun",[["grinding tooth with a broad crown; located behind the premolars"]],["grinder"]],["adjective",[["of or pertaining to the grinding teeth in the back of a mammal's mouth","molar teeth"],["designating a solution containing one mole of solute per liter of solution"],["containing one mole of a substance","molar weight"]],[]]],
+  moldy: [["adjective",[["covered with or smelling of mold","moldy bread"]],["mouldy","musty"]]],
+  money: [["noun",[["the most common medium of exchange; functions as legal tender","we tried to collect the money he owed us"],["wealth reckoned in terms of money","all his money is in real estate"],["the official currency issued by a government or national bank","he changed his money into francs"]],[]]],
+  month: [["noun",[["one of the twelve divisions of the calendar year","he paid the bill last month"],["a time unit of approximately 30 days","he was given a month to pay the bill"]],["calendar month"]]],
+  moody: [["noun",[["United States tennis player who dominated women's tennis in the 1920s and 1930s (1905-1998)"],["United States evangelist (1837-1899)"]],[]],["adjective",[["showing a brooding ill humor","a dark scowl"],["subject to sharply varying moods","a temperamental opera singer"]],["dark","dour","glowering","glum","morose"]]],
+  moose: [["noun",[["large northern deer with enormous flattened antlers in the male; called `elk' in Europe and `moose' in North America"]],["elk"]]],
+  moral: [["noun",[["the significance of a story or event","the moral of the story is to love thy neighbor"]],["lesson"]],["adjective",[["concerned with principles of right and wrong or conforming to standards of behavior and character based on those principles","moral sense"],["psychological rather than physical or tangible in effect","a moral victory"]],[]]],
+  moron: [["noun",[["a person of subnormal intelligence"],["a city in Argentina, to the west of Buenos Aires"]],["idiot","imbecile","cretin","changeling","half-wit"]]],
+  morph: [["verb",[["cause to change shape in a computer animation","The computer programmer morphed the image"],["change shape as via computer animation","In the video, Michael Jackson morphed into a panther"]],[]]],
+  mossy: [["adjective",[["overgrown with moss"],["(used pejoratively) out of fashion; old fashioned","moss-grown ideas about family life"]],["moss-grown","fogyish","stick-in-the-mud","stodgy"]]],
+  motel: [["noun",[["a motor hotel"]],[]]],
+  motif: [["noun",[["a design or figure that consists of recurring shapes or colors, as in architecture or decoration"],["a theme that is repeated or elaborated in a piece of music"],["a unifying idea that is a recurrent element in literary or artistic work","it was the usual `boy gets girl' theme"]],["motive","theme"]]],
+  motor: [["noun",[["machine that converts other forms of energy into mechanical energy and so imparts motion"],["a nonspecific agent that imparts motion","happiness is the aim of all men and the motor of all action"]],[]],["verb",[["travel or be transported in a vehicle","We drove to the university every morning"]],["drive"]],["adjective",[["conveying information to the muscles from the CNS","motor nerves"],["causing or able to cause motion","a motive force"]],["centrifugal","motive"]]],
+  motto: [["noun",[["a favorite saying of a sect or political group"]],["slogan","catchword","shibboleth"]]],
+  moult: [["noun",[["periodic shedding of the cuticle in arthropods or the outer skin in reptiles"]],["molt","molting","moulting","ecdysis"]],["verb",[["cast off hair, skin, horn, or feathers","our dog sheds every Spring"]],["shed","molt","exuviate","slough"]]],
+  mound: [["noun",[["(baseball) the slight elevation on which the pitcher stands"],["a small natural hill"],["a collection of objects laid on top of each other"]],["hill","pitcher's mound","knoll","hillock","hummock"]],["verb",[["form into a rounded elevation","mound earth"]],[]]],
+  mount: [["verb",[["attach to a support","They mounted the aerator on a floating"],["go up or advance","Sales were climbing after prices were lowered"],["fix onto a backing, setting, or support","mount slides for macroscopic analysis"]],["wax","climb","rise"]],["noun",[["a lightweight horse kept for riding only"],["the act of climbing something","it was a difficult climb to the top"],["a land mass that projects well above its surroundings; higher than a hill"]],["saddle horse","riding horse","climb","mountain"]]],
+  mourn: [["verb",[["feel sadness","She is mourning her dead child"],["observe the customs of mourning after the death of a loved one"]],[]]],
+  mouse: [["noun",[["any of numerous small rodents typically resembling diminutive rats having pointed snouts and small ears on elongated bodies with slender usually hairless tails"],["a swollen bruise caused by a blow to the eye"],["person who is quiet or timid"]],["shiner","black eye"]],["verb",[["to go stealthily or furtively","..stead of sneaking around spying on the neighbor's house"],["manipulate the mouse of a computer"]],["sneak","creep","pussyfoot"]]],
+  mouth: [["noun",[["the opening through which food is taken in and vocalizations emerge","he stuffed his mouth with candy"],["the externally visible part of the oral cavity on the face and the system of organs surrounding the opening","she wiped lipstick from her mouth"],["an opening that resembles a mouth (as of a cave or a gorge)","he rode into the mouth of the canyon"]],["oral cavity","oral fissure","rima oris"]],["verb",[["express in speech","She talks a lot of nonsense"],["articulate silently; form words with the lips only","She mouthed a swear word"],["touch with the mouth"]],["talk","speak","utter","verbalize","verbalise"]]],
+  mover: [["noun",[["workman employed by a moving company","the movers were very careful with the grand piano"],["(parliamentary procedure) someone who makes a formal motion"],["someone who moves"]],["proposer"]]],
+  movie: [["noun",[["a form of entertainment that enacts a story by sound and a sequence of images giving the illusion of continuous movement","they went to a movie every Saturday night"]],["film","picture","moving picture","moving-picture show","motion picture"]]],
+  mower: [["noun",[["garden tool for mowing grass on lawns"]],["lawn mower"]]],
+  mucky: [["adjective",[["(of soil) soft and watery","the ground was boggy under foot"],["dirty and messy; covered with mud or muck","muddy boots"]],["boggy","marshy","miry","muddy","quaggy"]]],
+  mucus: [["noun",[["protective secretion of the mucous membranes; in the gut it lubricates the passage of food and protects the epithelial cells; in the nose and throat and lungs it can make it difficult for bacteria to penetrate the body through the epithelium"]],["mucous secretion"]]],
+  muddy: [["adjective",[["(of soil) soft and watery","the ground was boggy under foot"],["dirty and messy; covered with mud or muck","muddy boots"],["(of color) discolored by impurities; not bright and clear","dirty"]],["boggy","marshy","miry","mucky","quaggy"]],["verb",[["dirty with mud"],["cause to become muddy","These data would have muddied the prediction"],["make turbid","muddy the water"]],["muddy up"]]],
+  mulch: [["noun",[["a protective covering of rotting vegetable matter spread to reduce evaporation and soil erosion"]],[]],["verb",[["cover with mulch","mulch the flowerbeds"]],[]]],
+  mummy: [["noun",[["informal terms for a mother"],["a body embalmed and dried and wrapped for burial (as in ancient Egypt)"]],["ma","mama","mamma","mom","momma"]]],
+  munch: [["noun",[["a large bite","he tried to talk between munches on the sandwich"],["Norwegian painter (1863-1944)"]],[]],["verb",[["chew noisily","The children crunched the celery sticks"]],["crunch"]]],
+  mural: [["noun",[["a painting that is applied to a wall surface"]],["wall painting"]],["adjective",[["of or relating to walls","mural painting"]],[]]],
+  murky: [["adjective",[["(of liquids) clouded as with sediment","a cloudy liquid"],["dark or gloomy","a murky dungeon"]],["cloudy","muddy","mirky","turbid"]]],
+  mushy: [["adjective",[["having the consistency of mush"],["effusively or insincerely emotional","a bathetic novel"]],["bathetic","drippy","hokey","maudlin","mawkish"]]],
+  music: [["noun",[["an artistic form of auditory communication incorporating instrumental or vocal tones in a structured and continuous manner"],["any agreeable (pleasing and harmonious) sounds","he fell asleep to the music of the wind chimes"],["musical activity (singing or whistling etc.)","his music was his central interest"]],["euphony"]]],
+  musky: [["adjective",[["resembling the smell of musk"]],[]]],
+  musty: [["adjective",[["covered with or smelling of mold","moldy bread"],["stale and unclean smelling"]],["moldy","mouldy","fusty","frowsty"]]],
+  myrrh: [["noun",[["aromatic resin that is burned as incense and used in perfume"]],["gum myrrh","sweet cicely"]]],
+  nadir: [["noun",[["an extreme state of adversity; the lowest point of anything"],["the point below the observer that is directly opposite the zenith on the imaginary sphere against which celestial bodies appear to be projected"]],["low-water mark"]]],
+  naive: [["adjective",[["marked by or showing unaffected simplicity and lack of guile or worldly experience","a teenager's naive ignorance of life"],["of or created by one without formal training; simple or naive in style","primitive art such as that by Grandma Moses is often colorful and striking"],["inexperienced"]],["naif","primitive"]]],
+  nanny: [["noun",[["a woman who is the custodian of children"],["female goat"]],["nursemaid","nurse","nanny-goat","she-goat"]]],
+  nasal: [["adjective",[["of or in or relating to the nose","nasal passages"],["sounding as if the nose were pinched","a whining nasal voice"]],["rhinal","adenoidal","pinched"]],["noun",[["a consonant produced through the nose with the mouth closed"],["an elongated rectangular bone that forms the bridge of the nose"]],["nasal consonant","nasal bone","os nasale"]]],
+  nasty: [["adjective",[["offensive or even (of persons) malicious","in a nasty mood"],["exasperatingly difficult to handle or circumvent","a nasty problem"],["characterized by obscenity","had a filthy mouth"]],["awful","tight","cruddy","filthy","foul"]]],
+  natal: [["adjective",[["relating to or accompanying birth","natal injuries"],["of or relating to the buttocks"]],[]],["noun",[["a region of eastern South Africa on the Indian Ocean","Natal was renamed KwaZulu-Natal in 1994"],["a port city in northeastern Brazil"]],[]]],
+  naval: [["adjective",[["connected with or belonging to or used in a navy","naval history"]],[]]],
+  navel: [["noun",[["a scar where the umbilical cord was attached","you were not supposed to show your navel on television"],["the center point or middle of something","the Incas believed that Cuzco was the navel of the universe"]],["umbilicus","bellybutton","belly button","omphalos","omphalus"]]],
+  needy: [["noun",[["needy people collectively","they try to help the needy"]],[]],["adjective",[["poor enough to need help from others"],["demanding or needing attention, affection, or reassurance to an excessive degree"]],["destitute","impoverished","indigent","necessitous","poverty-stricken"]]],
+  neigh: [["noun",[["the characteristic sounds made by a horse"]],["nicker","whicker","whinny"]],["verb",[["make a characteristic sound, of a horse"]],["nicker","whicker","whinny"]]],
+  nerve: [["noun",[["any bundle of nerve fibers running to various organs and tissues of the body"],["the courage to carry on","he kept fighting on pure spunk"],["impudent aggressiveness","I couldn't believe her boldness"]],["nervus","heart","mettle","spunk","boldness"]],["verb",[["get ready for something difficult or unpleasant"]],["steel"]]],
+  never: [["adverb",[["not ever; at no time in the past or future","I have never been to China"],["not at all; certainly not; not in any circumstances","never fear"]],["ne'er"]]],
+  newly: [["adverb",[["very recently","they are newly married"]],["freshly","fresh","new"]]],
+  niche: [["noun",[["a position particularly well suited to the person who occupies it","he found his niche in the academic world"],["a small concavity"],["an enclosure that is set back or indented"]],["recess","recession","corner"]]],
+  niece: [["noun",[["a daughter of your brother or sister"]],[]]],
+  night: [["noun",[["the time after sunset and before sunrise while it is dark outside"],["a period of ignorance or backwardness or gloom"],["the period spent sleeping","I had a restless night"]],["nighttime","dark"]]],
+  ninja: [["noun",[["a member of the ninja who were trained in martial arts and hired for espionage or sabotage or assassinations; a person skilled in ninjutsu"],["a class of 14th century Japanese who were trained in martial arts and were hired for espionage and assassinations"]],[]]],
+  ninny: [["noun",[["a stupid foolish person"]],["nincompoop","poop"]]],
+  ninth: [["noun",[["position nine in a countable series of things","going into the ninth they were a run ahead"],["one part in nine equal parts"]],["one-ninth"]],["adjective",[["coming next after the eighth and just before the tenth in position"]],["9th"]]],
+  noble: [["adjective",[["impressive in appearance","a baronial mansion"],["of or belonging to or constituting the hereditary aristocracy especially as derived from feudal times","of noble birth"],["having or showing or indicative of high or elevated character","a noble spirit"]],["baronial","imposing","stately"]],["noun",[["a titled peer of the realm"]],["nobleman"]]],
+  nobly: [["adverb",[["in a noble manner","she has behaved nobly"]],[]]],
+  noise: [["noun",[["sound of any kind (especially unintelligible or dissonant sound)","he enjoyed the street noises"],["the auditory experience of sound that lacks musical quality; sound that is a disagreeable auditory experience","modern music is just noise to me"],["electrical or acoustic activity that can disturb communication"]],["dissonance","racket","interference","disturbance"]],["verb",[["emit a noise"]],["make noise","resound"]]],
+  noisy: [["adjective",[["full of or characterized by loud and nonmusical sounds","a noisy cafeteria"],["attracting attention by showiness or bright colors","a noisy sweater"]],[]]],
+  nomad: [["noun",[["a member of a people who have no permanent home but move about according to the seasons"]],[]]],
+  noose: [["noun",[["a trap for birds or small mammals; often has a slip noose"],["a loop formed in a cord or rope by means of a slipknot; it binds tighter as the cord or rope is pulled"]],["snare","gin","running noose","slip noose"]],["verb",[["make a noose in or of"],["secure with a noose"]],[]]],
+  north: [["noun",[["the cardinal compass point that is at 0 or 360 degrees"],["a location in the northern part of a country, region, or city"],["the direction corresponding to the northward cardinal compass point"]],["due north","northward"]],["adjective",[["situated in or facing or moving toward or coming from the north","artists like north light"]],[]],["adverb",[["in a northern direction","they earn more up north"]],["northerly","northwards","northward"]]],
+  nosey: [["adjective",[["offensively curious or inquisitive","curious about the neighbor's doings"]],["nosy","prying","snoopy"]]],
+  notch: [["noun",[["a V-shaped indentation","mandibular notch"],["the location in a range of mountains of a geological formation that is lower than the surrounding peaks","we got through the pass before it started to snow"],["a V-shaped or U-shaped indentation carved or scratched into a surface","there were four notches in the handle of his revolver"]],["pass","mountain pass"]],["verb",[["cut or make a notch into","notch the rope"],["notch a surface to record something"]],[]]],
+  novel: [["noun",[["an extended fictional work in prose; usually in the form of a story"],["a printed and bound book that is an extended work of fiction","his bookcases were filled with nothing but novels"]],[]],["adjective",[["original and of a kind not seen before","the computer produced a completely novel proof of a well-known theorem"],["pleasantly new or different","common sense of a most refreshing sort"]],["fresh","new","refreshing"]]],
+  nudge: [["verb",[["to push against gently","She nudged my elbow when she saw her friend enter the restaurant"],["push into action by pestering or annoying gently"]],["poke at","prod"]],["noun",[["a slight push or shake"]],["jog"]]],
+  nurse: [["noun",[["one skilled in caring for young children or the sick (usually under the supervision of a physician)"],["a woman who is the custodian of children"]],["nanny","nursemaid"]],["verb",[["try to cure by special care of treatment, of an illness or injury","He nursed his cold with Chinese herbs"],["maintain (a theory, thoughts, or feelings)","bear a grudge"],["serve as a nurse; care for sick or handicapped people"]],["harbor","harbour","hold","entertain"]]],
+  nutty: [["adjective",[["having the flavor of nuts","a nutty sherry"],["informal or slang terms for mentally irregular","it used to drive my husband balmy"]],["nutlike","balmy","barmy","bats","batty"]]],
+  nylon: [["noun",[["a thermoplastic polyamide; a family of strong resilient synthetic fibers"],["a synthetic fabric"]],[]]],
+  nymph: [["noun",[["(classical mythology) a minor nature goddess usually depicted as a beautiful maiden","the ancient Greeks believed that nymphs inhabited forests and bodies of water"],["a larva of an insect with incomplete metamorphosis (as the dragonfly or mayfly)"],["a voluptuously beautiful young woman"]],["houri"]]],
+  oaken: [["adjective",[["consisting of or made of wood of the oak tree","a solid oak table"]],[]]],
+  obese: [["adjective",[["excessively fat","a weighty man"]],["corpulent","weighty","rotund"]]],
+  occur: [["verb",[["come to pass","What is happening?"],["come to one's mind; suggest itself","It occurred to me that we should hire another secretary"],["to be found to exist","sexism occurs in many workplaces"]],["happen","hap","go on","pass off","pass"]]],
+  ocean: [["noun",[["a large body of water constituting a principal part of the hydrosphere"],["anything apparently limitless in quantity or volume"]],["sea"]]],
+  octal: [["adjective",[["of or pertaining to a number system having 8 as its base","an octal digit"]],[]]],
+  octet: [["noun",[["the cardinal number that is the sum of seven and one"],["eight performers or singers who perform together"],["a set of eight similar things considered as a unit"]],["eight","8","eighter","octad","ogdoad"]]],
+  oddly: [["adverb",[["in a manner differing from the usual or expected","had a curiously husky voice"],["in a strange manner","a queerly inscribed sheet of paper"]],["inexplicably","curiously","peculiarly","queerly","strangely"]]],
+  offal: [["noun",[["viscera and trimmings of a butchered animal often considered inedible by humans"]],[]]],
+  offer: [["verb",[["make available or accessible, provide or furnish","The conference center offers a health spa"],["present for acceptance or rejection","She offered us all a cold drink"],["agree freely","She volunteered to drive the old lady home"]],["proffer","volunteer"]],["noun",[["the verbal act of offering","a generous offer of assistance"],["something offered (as a proposal or bid)","noteworthy new offerings for investors included several index funds"],["a usually brief attempt","he took a crack at it"]],["offering","crack","fling","go","pass"]]],
+  often: [["adverb",[["many times at short intervals","we often met over a cup of coffee"],["frequently or in great quantities","I don't drink much"],["in many cases or instances"]],["frequently","oftentimes","oft","ofttimes","much"]]],
+  olden: [["adjective",[["relating to time long past","olden days"]],[]]],
+  older: [["adjective",[["advanced in years; (`aged' is pronounced as two syllables)","aged members of the society"],["used of the older of two persons of the same name especially used to distinguish a father from his son","Bill Adams, Sr."],["skilled through long experience","an old offender"]],["aged","elderly","senior","elder","sr."]]],
+  olive: [["adjective",[["of a yellow-green color similar to that of an unripe olive"]],[]],["noun",[["small ovoid fruit of the European olive tree; important food and source of oil"],["evergreen tree cultivated in the Mediterranean region since antiquity and now elsewhere; has edible shiny black fruits"],["hard yellow often variegated wood of an olive tree; used in cabinetwork"]],[]]],
+  omega: [["noun",[["the ending of a series or sequence","the Alpha and the Omega, the first and the last, the beginning and the end"],["the last (24th) letter of the Greek alphabet"]],[]]],
+  onion: [["noun",[["the bulb of an onion plant"],["bulbous plant having hollow leaves cultivated worldwide for its rounded edible bulb"],["an aromatic flavorful vegetable"]],["onion plant"]]],
+  onset: [["noun",[["the beginning or early stages","the onset of pneumonia"],["(military) an offensive against an enemy (using weapons)","the attack began at dawn"]],["oncoming","attack","onslaught","onrush"]]],
+  opera: [["noun",[["a drama set to music; consists of singing with orchestral accompaniment and an orchestral overture and interludes"],["a building where musical dramas are performed"],["a commercial browser"]],["opera house"]]],
+  opine: [["verb",[["express one's opinion openly and without fear or hesitation","John spoke up at the meeting"],["expect, believe, or suppose","I imagine she earned a lot of money with her new novel"]],["speak up","speak out","animadvert","sound off","think"]]],
+  opium: [["noun",[["an addictive narcotic extracted from seed capsules of the opium poppy"]],[]]],
+  optic: [["noun",[["the organ of sight"]],["eye","oculus"]],["adjective",[["of or relating to or resembling the eye","ocular muscles"],["relating to or using sight","ocular inspection"]],["ocular","optical","ophthalmic","visual"]]],
+  orbit: [["noun",[["the (usually elliptical) path described by one celestial body in its revolution about another","he plotted the orbit of the moon"],["a particular environment or walk of life","his social sphere is limited"],["an area in which something acts or operates or has power or control: \"the range of a supersonic jet\"","a piano has a greater range than the human voice"]],["celestial orbit","sphere","domain","area","field"]],["verb",[["move in an orbit","The moon orbits around the Earth"]],["orb","revolve"]]],
+  order: [["noun",[["(often plural) a command given by a superior (e.g., a military or law enforcement officer) that must be obeyed","the British ships dropped anchor and waited for orders from London"],["a degree in a continuum of size or quantity","it was on the order of a mile"],["established customary state (especially of society)","order ruled in the streets"]],["order of magnitude"]],["verb",[["give instructions to or direct somebody to do something with authority","I said to him to go home"],["make a request for something","Order me some flowers"],["issue commands or orders for"]],["tell","enjoin","say","prescribe","dictate"]]],
+  organ: [["noun",[["a fully differentiated structural and functional unit in an animal that is specialized for some particular function"],["a government agency or instrument devoted to the performance of some specific function","The Census Bureau is an organ of the Commerce Department"],["(music) an electronic simulation of a pipe organ"]],["electric organ","electronic organ"]]],
+  other: [["adjective",[["not the same one or ones already mentioned or implied","today isn't any other day"],["recently past","the other evening"],["belonging to the distant past","the early inhabitants of Europe"]],["early","former"]]],
+  otter: [["noun",[["the fur of an otter"],["freshwater carnivorous mammal having webbed and clawed feet and dark brown fur"]],[]]],
+  ounce: [["noun",[["a unit of apothecary weight equal to 480 grains or one twelfth of a troy pound"],["a unit of weight equal to one sixteenth of a pound or 16 drams or 28.349 grams"],["large feline of upland central Asia having long thick whitish fur"]],["troy ounce","apothecaries' ounce","oz.","snow leopard"]]],
+  outdo: [["verb",[["be or do something to a greater degree","her performance surpasses that of any other student I know"],["get the better of","the goal was to best the competition"]],["surpass","outstrip","outmatch","outgo","exceed"]]],
+  outer: [["adjective",[["being on the outside or further from a center","spent hours adorning the outer man"],["located outside","outer reality"],["being on or toward the outside of the body","the outer ear"]],[]]],
+  outgo: [["noun",[["money paid out; an amount spent"]],["spending","expenditure","outlay"]],["verb",[["be or do something to a greater degree","her performance surpasses that of any other student I know"]],["surpass","outstrip","outmatch","exceed","outdo"]]],
+  ovary: [["noun",[["the organ that bears the ovules of a flower"],["(vertebrates) one of usually two organs that produce ova and secrete estrogen and progesterone"]],[]]],
+  ovate: [["adjective",[["of a leaf shape; egg-shaped with the broader end at the base"],["rounded like an egg"]],["egg-shaped","elliptic","elliptical","oval","oval-shaped"]]],
+  overt: [["adjective",[["open and observable; not secret or hidden","an overt lie"]],["open"]]],
+  ovine: [["adjective",[["of or pertaining to or of the nature of or characteristic of a sheep or sheep"]],[]]],
+  ovoid: [["noun",[["an egg-shaped object"]],[]],["adjective",[["rounded like an egg"]],["egg-shaped","elliptic","elliptical","oval","oval-shaped"]]],
+  owing: [["adjective",[["owed as a debt","outstanding bills"]],["outstanding","undischarged"]]],
+  owner: [["noun",[["(law) someone who owns (is legal possessor of) a business","he is the owner of a chain of restaurants"],["a person who owns something","they are searching for the owner of the car"]],["proprietor","possessor"]]],
+  oxide: [["noun",[["any compound of oxygen with another element or a radical"]],[]]],
+  ozone: [["noun",[["a colorless gas (O3) soluble in alkalis and cold water; a strong oxidizing agent; can be produced by electric discharge in oxygen or by the action of ultraviolet radiation on oxygen in the stratosphere (where it acts as a screen for ultraviolet radiation)"]],[]]],
+  paddy: [["noun",[["an irrigated or flooded field where rice is grown"],["rice in the husk either gathered or still in the field"],["(ethnic slur) offensive term for a person of Irish descent"]],["paddy field","rice paddy"]]],
+  pagan: [["noun",[["a person who does not acknowledge your god"],["a person who follows a polytheistic or pre-Christian religion (not a Christian or Muslim or Jew)"],["someone motivated by desires for sensual pleasures"]],["heathen","gentile","infidel","hedonist","pleasure seeker"]],["adjective",[["not acknowledging the God of Christianity and Judaism and Islam"]],["heathen","heathenish","ethnic"]]],
+  paint: [["verb",[["make a painting","he painted all day in the garden"],["apply paint to; coat with paint","We painted the rooms yellow"],["make a painting of","He painted his mistress many times"]],[]],["noun",[["a substance used as a coating to protect or decorate a surface (especially a mixture of pigment suspended in a liquid); dries to form a hard coating","artists use `paint' and `pigment' interchangeably"],["(basketball) a space (including the foul line) in front of the basket at each end of a basketball court; usually painted a different color from the rest of the court","he hit a jump shot from the top of the key"],["makeup consisting of a pink or red powder applied to the cheeks"]],["pigment","key","rouge","blusher"]]],
+  palsy: [["noun",[["loss of the ability to move a body part"],["a condition marked by uncontrollable tremor"]],["paralysis"]],["verb",[["affect with palsy"]],[]]],
+  panel: [["noun",[["sheet that forms a distinct (usually flat and rectangular) section or component of something"],["a committee appointed to judge a competition"],["(law) a group of people summoned for jury service (from whom a jury will be chosen)"]],["jury","venire"]],["verb",[["decorate with panels","panel the walls with wood"],["select from a list","empanel prospective jurors"]],["empanel","impanel"]]],
+  panic: [["noun",[["an overwhelming feeling of fear and anxiety"],["sudden mass fear and anxiety over anticipated events","panic in the stock market"]],["terror","affright","scare"]],["verb",[["be overcome by a sudden fear","The students panicked when told that final exams were less than a week away"],["cause sudden fear in or fill with sudden panic","The mere thought of an isolation cell panicked the prisoners"]],[]]],
+  pansy: [["noun",[["large-flowered garden plant derived chiefly from the wild pansy of Europe and having velvety petals of various colors"],["a timid man or boy considered childish or unassertive"],["offensive term for a homosexual man"]],["sissy","pantywaist","milksop","fagot","faggot"]]],
+  papal: [["adjective",[["proceeding from or ordered by or subject to a pope or the papacy regarded as the successor of the Apostles","papal dispensation"]],["apostolic","apostolical","pontifical"]]],
+  paper: [["noun",[["a material made of cellulose pulp derived mainly from wood or rags or certain grasses"],["an essay (especially one written as an assignment)","he got an A on his composition"],["a daily or weekly publication on folded sheets; contains news and articles and advertisements","he read his newspaper at breakfast"]],["composition","report","theme","newspaper"]],["verb",[["cover with paper","paper the box"],["cover with wallpaper"]],["wallpaper"]]],
+  parer: [["noun",[["a manicurist who trims the fingernails"],["a small sharp knife used in paring fruits or vegetables"]],["paring knife"]]],
+  parka: [["noun",[["a kind of heavy jacket (`windcheater' is a British term)"]],["windbreaker","windcheater","anorak"]]],
+  parry: [["verb",[["impede the movement of (an opponent or a ball)","block an attack"],["avoid or try to avoid fulfilling, answering, or performing (duties, questions, or issues)","He dodged the issue"]],["block","deflect","hedge","fudge","evade"]],["noun",[["(fencing) blocking a lunge or deflecting it with a circular motion of the sword"],["a return punch (especially by a boxer)"]],["counterpunch","counter"]]],
+  parse: [["verb",[["analyze syntactically by assigning a constituent structure to (a sentence)"]],[]]],
+  party: [["noun",[["an organization to gain political power","in 1992 Perot tried to organize a third party at the national level"],["a group of people gathered together for pleasure","she joined the party after dinner"],["a band of people associated temporarily in some activity","they organized a party to search for food"]],["political party","company"]],["verb",[["have or participate in a party","The students were partying all night before the exam"]],[]]],
+  pasta: [["noun",[["a dish that contains pasta as its main ingredient"],["shaped and dried dough made from flour and water and sometimes egg"]],["alimentary paste"]]],
+  paste: [["noun",[["any mixture of a soft and malleable consistency"],["a hard, brilliant lead glass that is used in making artificial jewelry"],["an adhesive made from water and flour or starch; used on paper and paperboard"]],["library paste"]],["verb",[["join or attach with or as if with glue","paste the sign on the wall"],["hit with the fists","He pasted his opponent"],["cover the surface of","paste the wall with burlap"]],["glue"]]],
+  pasty: [["adjective",[["resembling paste in color; pallid","he looked pasty and red-eyed"],["having the sticky properties of an adhesive"]],["pastelike","gluey","glutinous","gummy","mucilaginous"]],["noun",[["small meat pie or turnover"],["(usually used in the plural) one of a pair of adhesive patches worn to cover the nipples of exotic dancers and striptease performers"]],[]]],
+  patch: [["noun",[["a small contrasting part of something","a bald spot"],["a small area of ground covered by specific vegetation","a bean plot"],["a piece of cloth used as decoration or to mend or cover a hole"]],["spot","speckle","dapple","fleck","maculation"]],["verb",[["to join or unite the pieces of","patch the skirt"],["provide with a patch; also used metaphorically","The field was patched with snow"],["mend by putting a patch on","patch a hole"]],["piece","patch up"]]],
+  patio: [["noun",[["usually paved outdoor area adjoining a residence"]],["terrace"]]],
+  patsy: [["noun",[["a person who is gullible and easy to take advantage of"]],["chump","fool","gull","mark","fall guy"]]],
+  patty: [["noun",[["small flat mass of chopped food"],["small pie or pasty"],["round flat candy"]],["cake"]]],
+  pause: [["noun",[["a time interval during which there is a temporary cessation of something"],["temporary inactivity"]],["intermission","break","interruption","suspension"]],["verb",[["interrupt temporarily an activity before continuing","The speaker paused"],["cease an action temporarily","We pause for station identification"]],["hesitate","intermit","break"]]],
+  payee: [["noun",[["a person to whom money is paid"]],[]]],
+  payer: [["noun",[["a person who pays money for something"]],["remunerator"]]],
+  peace: [["noun",[["the state prevailing during the absence of war"],["harmonious relations; freedom from disputes","the roommates lived in peace together"],["the absence of mental stress or anxiety"]],["peacefulness","peace of mind","repose","serenity","heartsease"]]],
+  peach: [["noun",[["cultivated in temperate regions"],["a very attractive or seductive looking woman"],["downy juicy fruit with sweet yellowish or whitish flesh"]],["peach tree","smasher","stunner","knockout","beauty"]],["verb",[["divulge confidential information or secrets","Be careful--his secretary talks"]],["spill the beans","let the cat out of the bag","talk","tattle","blab"]]],
+  pearl: [["noun",[["a smooth lustrous round structure inside the shell of a clam or oyster; much valued as a jewel"],["a shade of white the color of bleached bones"],["a shape that is spherical and small","he studied the shapes of low-viscosity drops"]],["bone","ivory","off-white","drop","bead"]],["verb",[["gather pearls, from oysters in the ocean"]],[]]],
+  pecan: [["noun",[["wood of a pecan tree"],["tree of southern United States and Mexico cultivated for its nuts"],["smooth brown oval nut of south central United States"]],["pecan tree"]]],
+  pedal: [["noun",[["a sustained bass note"],["a lever that is operated with the foot"]],["pedal point","treadle","foot pedal","foot lever"]],["verb",[["ride a bicycle"],["operate the pedals on a keyboard instrument"]],["bicycle","cycle","bike","wheel"]],["adjective",[["of or relating to the feet","the word for a pedal extremity is `foot'"]],[]]],
+  penal: [["adjective",[["of or relating to punishment","penal reform"],["serving as or designed to impose punishment","penal servitude"],["(of an act or offense) subject to punishment by law","a penal offense"]],["punishable"]]],
+  penne: [["noun",[["pasta in short tubes with diagonally cut ends"]],[]]],
+  penny: [["noun",[["a fractional monetary unit of Ireland and the United Kingdom; equal to one hundredth of a pound"],["a coin worth one-hundredth of the value of the basic unit"]],["cent","centime"]]],
+  perch: [["noun",[["support consisting of a branch or rod that serves as a resting place (especially for a bird)"],["a linear measure of 16.5 feet"],["a square rod of land"]],["rod","pole"]],["verb",[["sit, as on a branch","The birds perched high in the tree"],["to come to rest, settle","Misfortune lighted upon him"],["cause to perch or sit","She perched her hat on her head"]],["roost","rest","alight","light"]]],
+  peril: [["noun",[["a source of danger; a possibility of incurring loss or misfortune","drinking alcohol is a health hazard"],["a state of danger involving risk"],["a venture undertaken without regard to possible loss or injury","he saw the rewards but not the risks of crime"]],["hazard","jeopardy","risk","endangerment","riskiness"]],["verb",[["pose a threat to; present a danger to","The pollution is endangering the crops"],["put in a dangerous, disadvantageous, or difficult position"]],["endanger","jeopardize","jeopardise","menace","threaten"]]],
+  perky: [["adjective",[["characterized by liveliness and lightheartedness","buoyant spirits"]],["buoyant","chirpy"]]],
+  pesky: [["adjective",[["causing irritation or annoyance","tapping an annoying rhythm on his glass with his fork"]],["annoying","bothersome","galling","irritating","nettlesome"]]],
+  pesto: [["noun",[["a sauce typically served with pasta; contains crushed basil leaves and garlic and pine nuts and Parmesan cheese in olive oil"]],[]]],
+  petal: [["noun",[["part of the perianth that is usually brightly colored"]],["flower petal"]]],
+  petty: [["noun",[["larceny of property having a value less than some amount (the amount varies by locale)"]],["petit larceny","petty larceny"]],["adjective",[["inferior in rank or status","the junior faculty"],["(informal) small and of little importance","a fiddling sum of money"],["contemptibly narrow in outlook","petty little comments"]],["junior-grade","lower-ranking","lowly","secondary","subaltern"]]],
+  phase: [["noun",[["any distinct time period in a sequence of events","we are in a transitional stage in which many former ideas must be revised or rejected"],["(physical chemistry) a distinct state of matter in a system; matter that is identical in chemical composition and physical state and separated from other material by the phase boundary","the reaction occurs in the liquid phase of the system"],["a particular point in the time of a cycle; measured from some arbitrary zero and expressed as an angle"]],["stage","form","phase angle"]],["verb",[["arrange in phases or stages","phase a withdrawal"],["adjust so as to be in a synchronized condition","he phased the intake with the output of the machine"]],[]]],
+  phone: [["noun",[["electronic equipment that converts sound into electrical signals that can be transmitted over distances and then converts received signals back into sounds","I talked to him on the telephone"],["(phonetics) an individual sound unit of speech without concern as to whether or not it is a phoneme of some language"],["electro-acoustic transducer for converting electric signals into sounds; it is held over or inserted into the ear","it was not the typing but the earphones that she disliked"]],["telephone","telephone set","speech sound","sound","earphone"]],["verb",[["get or try to get into communication (with someone) by telephone","I tried to call you all night"]],["call","telephone","call up","ring"]]],
+  phony: [["noun",[["a person who professes beliefs and opinions that he or she does not hold in order to conceal his or her real feelings or motives"]],["hypocrite","dissembler","dissimulator","phoney","pretender"]],["adjective",[["fraudulent; having a misleading appearance"]],["bogus","fake","phoney","bastard"]]],
+  photo: [["noun",[["a representation of a person or scene in the form of a print or transparent slide or in digital format"]],["photograph","exposure","picture","pic"]]],
+  piano: [["noun",[["a keyboard instrument that is played by depressing keys that cause hammers to strike tuned strings and produce sounds"],["(music) low loudness"]],["pianoforte","forte-piano","pianissimo"]],["adjective",[["(used chiefly as a direction or description in music) soft; in a quiet, subdued tone","the piano passages in the composition"]],["soft"]],["adverb",[["used as a direction in music; to be played relatively softly"]],["softly"]]],
+  picky: [["adjective",[["exacting especially about details","a finicky eater"]],["finical","finicky","fussy","particular"]]],
+  piece: [["noun",[["a separate part of a whole","an important piece of the evidence"],["an item that is an instance of some type","he designed a new piece of equipment"],["a portion of a natural object","they analyzed the river into three parts"]],["part"]],["verb",[["to join or unite the pieces of","patch the skirt"],["create by putting components or members together","She pieced a quilt"],["join during spinning","piece the broken pieces of thread, slivers, and rovings"]],["patch","assemble","put together","set up","tack"]]],
+  piety: [["noun",[["righteousness by virtue of being pious"]],["piousness"]]],
+  piggy: [["noun",[["a young pig"]],["piglet","shoat","shote"]],["adjective",[["resembling swine; coarsely gluttonous or greedy","piggish table manners"]],["hoggish","piggish","porcine","swinish"]]],
+  pilot: [["verb",[["operate an airplane","The pilot flew to Cuba"],["act as the navigator in a car, plane, or vessel and plan, direct, plot the path and position of the conveyance","Is anyone volunteering to navigate during the trip?"]],["fly","aviate","navigate"]],["noun",[["someone who is licensed to operate an aircraft in flight"],["a person qualified to guide ships through difficult waters going into or out of a harbor"],["a program exemplifying a contemplated series; intended to attract sponsors"]],["airplane pilot","pilot program","pilot film"]]],
+  pinch: [["verb",[["squeeze tightly between the fingers","He pinched her behind"],["make ridges into by pinching together"],["make off with belongings of others"]],["squeeze","twinge","tweet","nip","twitch"]],["noun",[["a painful or straitened circumstance","the pinch of the recession"],["an injury resulting from getting some body part squeezed"],["a slight but appreciable amount","this dish could use a touch of garlic"]],["touch","hint","tinge","mite","jot"]]],
+  pinky: [["noun",[["the finger farthest from the thumb"]],["little finger","pinkie"]]],
+  pinto: [["noun",[["a spotted or calico horse or pony"]],[]]],
+  piper: [["noun",[["someone who plays the bagpipe"],["type genus of the Piperaceae: large genus of chiefly climbing tropical shrubs"]],["bagpiper"]]],
+  pique: [["noun",[["tightly woven fabric with raised cords"],["a sudden outburst of anger","his temper sparked like damp firewood"]],["temper","irritation"]],["verb",[["cause to feel resentment or indignation","Her tactless remark offended me"]],["offend"]]],
+  pitch: [["noun",[["the property of sound that varies with variation in the frequency of vibration"],["(baseball) the act of throwing a baseball by a pitcher to a batter"],["a vendor's position (especially on the sidewalk)","he was employed to see that his paper's news pitches were not trespassed upon by rival vendors"]],["delivery"]],["verb",[["throw or toss with a light motion","flip me the beachball"],["move abruptly","The ship suddenly lurched to the left"],["fall or plunge forward","She pitched over the railing of the balcony"]],["flip","toss","sky","lurch","shift"]]],
+  pithy: [["adjective",[["concise and full of meaning","welcomed her pithy comments"]],["sententious"]]],
+  pivot: [["verb",[["turn on a pivot"]],["swivel"]],["noun",[["the person in a rank around whom the others wheel and maneuver"],["axis consisting of a short shaft that supports something that turns"],["the act of turning on (or as if on) a pivot","the golfer went to the driving range to practice his pivot"]],["pivot man","pin"]]],
+  pixel: [["noun",[["(computer science) the smallest discrete component of an image or picture on a CRT screen (usually a colored dot)","the greater the number of pixels per inch the greater the resolution"]],["pel","picture element"]]],
+  pixie: [["noun",[["(folklore) fairies that are somewhat mischievous"],["creeping evergreen shrub having narrow overlapping leaves and early white star-shaped flowers; of the pine barrens of New Jersey and the Carolinas"]],["elf","hob","gremlin","pixy","brownie"]]],
+  pizza: [["noun",[["Italian open pie made of thin bread dough spread with a spiced mixture of e.g. tomato sauce and cheese"]],["pizza pie"]]],
+  place: [["noun",[["a point located with respect to surface features of some region","this is a nice place for a picnic"],["any area set aside for a particular purpose","who owns this place?"],["an abstract mental location","he has a special place in my thoughts"]],["topographic point","spot","property"]],["verb",[["put into a certain place or abstract location","Put your things here"],["place somebody in a particular situation or location","he was placed on probation"],["assign a rank or rating to","how would you rank these students?"]],["put","set","pose","position","lay"]]],
+  plaid: [["noun",[["a cloth having a crisscross design"]],["tartan"]]],
+  plain: [["adjective",[["clearly revealed to the mind or the senses or judgment","the effects of the drought are apparent to anyone who sees the parched fields"],["not elaborate or elaborated; simple","plain food"],["lacking patterns especially in color"]],["apparent","evident","manifest","palpable","patent"]],["noun",[["extensive tract of level open land","they emerged from the woods onto a vast open plain"],["a basic knitting stitch made by putting the needle through the front of the stitch from the lefthand side"]],["field","champaign","knit","knit stitch","plain stitch"]],["verb",[["express complaints, discontent, displeasure, or unhappiness","My mother complains all day"]],["complain","kick","sound off","quetch","kvetch"]],["adverb",[["unmistakably (`plain' is often used informally for `plainly')","the answer is obviously wrong"]],["obviously","evidently","manifestly","patently","apparently"]]],
+  plait: [["noun",[["a hairdo formed by braiding or twisting the hair"],["any of various types of fold formed by doubling fabric back upon itself and then pressing or stitching into shape"]],["braid","tress","twist","pleat"]],["verb",[["make by braiding or interlacing","lace a tablecloth"],["weave into plaits","plait hair"]],["braid","lace"]]],
+  plane: [["noun",[["an aircraft that has a fixed wing and is powered by propellers or jets","the flight was delayed due to trouble with the airplane"],["(mathematics) an unbounded two-dimensional shape","we will refer to the plane of the graph as the X-Y plane"],["a level of existence or development","he lived on a worldly plane"]],["airplane","aeroplane","sheet"]],["verb",[["cut or remove with or as if with a plane","The machine shaved off fine layers from the piece of wood"],["travel on the surface of water"],["make even or smooth, with or as with a carpenter's plane","plane the top of the door"]],["shave","skim"]],["adjective",[["having a surface without slope, tilt in which no part is higher or lower than another","a flat desk"]],["flat","level"]]],
+  plank: [["noun",[["a stout length of sawn timber; made in a wide variety of sizes and used for many purposes"],["an endorsed policy in the platform of a political party"]],["board"]],["verb",[["cover with planks","The streets were planked"],["set (something or oneself) down with or as if with a noise","He planked the money on the table"],["cook and serve on a plank","Planked vegetable"]],["plank over","flump","plonk","plop","plunk"]]],
+  plant: [["verb",[["put or set (seeds, seedlings, or plants) into the ground","Let's plant flowers in the garden"],["fix or set securely or deeply","He planted a knee in the back of his opponent"],["set up or lay the groundwork for","establish a new department"]],["set","implant","engraft","embed","imbed"]],["noun",[["buildings for carrying on industrial labor","they built a large plant to manufacture automobiles"],["(botany) a living organism lacking the power of locomotion"],["an actor situated in the audience whose acting is rehearsed but seems spontaneous to the audience"]],["works","industrial plant","flora","plant life"]]],
+  plate: [["noun",[["(baseball) base consisting of a rubber slab where the batter stands; it must be touched by a base runner in order to score","he ruled that the runner failed to touch home"],["a sheet of metal or wood or glass or plastic"],["a full-page illustration (usually on slick paper)"]],["home plate","home base","home"]],["verb",[["coat with a layer of metal","plate spoons with silver"]],[]]],
+  plaza: [["noun",[["a public square with room for pedestrians","they met at Elm Plaza"],["mercantile establishment consisting of a carefully landscaped complex of shops representing leading merchandisers; usually includes restaurants and a convenient parking area; a modern version of the traditional marketplace","a good plaza should have a movie house"]],["place","piazza","mall","center","shopping mall"]]],
+  plead: [["verb",[["appeal or request earnestly","I pleaded with him to stop"],["offer as an excuse or plea","She was pleading insanity"],["enter a plea, as in courts of law","She pleaded not guilty"]],[]]],
+  pleat: [["noun",[["any of various types of fold formed by doubling fabric back upon itself and then pressing or stitching into shape"]],["plait"]],["verb",[["pleat or gather into a ruffle","ruffle the curtain fabric"],["fold into pleats","Pleat the cloth"]],["ruffle","plicate"]]],
+  plier: [["noun",[["someone who plies a trade"]],["plyer"]]],
+  pluck: [["noun",[["the trait of showing courage and determination in spite of possible loss or injury"],["the act of pulling and releasing a taut cord"]],["gutsiness","pluckiness"]],["verb",[["pull or pull out sharply","pluck the flowers off the bush"],["sell something to or obtain something from by energetic and especially underhanded activity"],["rip off; ask an unreasonable price"]],["tweak","pull off","pick off","hustle","roll"]]],
+  plumb: [["verb",[["measure the depth of something"],["weight with lead"],["examine thoroughly and in great depth"]],[]],["adverb",[["completely; used as intensifiers","clean forgot the appointment"],["conforming to the direction of a plumb line"],["exactly","fell plumb in the middle of the puddle"]],["clean","plum"]],["noun",[["the metal bob of a plumb line"]],["plumb bob","plummet"]],["adjective",[["exactly vertical","the tower of Pisa is far out of plumb"]],[]]],
+  plume: [["noun",[["anything that resembles a feather in shape or lightness","a plume of smoke"],["a feather or cluster of feathers worn as an ornament"],["the light horny waterproof structure forming the external covering of birds"]],["feather","plumage"]],["verb",[["rip off; ask an unreasonable price"],["be proud of","He prides himself on making it into law school"],["deck with a plume","a plumed helmet"]],["overcharge","soak","surcharge","gazump","fleece"]]],
+  plump: [["adjective",[["sufficiently fat so as to have a pleasing fullness of figure","a chubby child"]],["chubby","embonpoint"]],["noun",[["the sound of a sudden heavy fall"]],[]],["verb",[["drop sharply","The stock market plummeted"],["set (something or oneself) down with or as if with a noise","He planked the money on the table"],["make fat or plump","We will plump out that poor starving child"]],["plummet","plank","flump","plonk","plop"]],["adverb",[["straight down especially heavily or abruptly","the anchor fell plump into the sea"]],[]]],
+  plunk: [["verb",[["make or move along with a sound as of a horse's hooves striking the ground"],["set (something or oneself) down with or as if with a noise","He planked the money on the table"],["drop steeply","the stock market plunged"]],["clop","clump","clunk","plank","flump"]],["noun",[["a hollow twanging sound"],["(baseball) hitting a baseball so that it drops suddenly"]],["plunker"]],["adverb",[["with a short hollow thud","plop came the ball down to the corner of the green"]],["plop"]]],
+  plush: [["adjective",[["characterized by extravagance and profusion","a lavish buffet"]],["lavish","lucullan","plushy"]],["noun",[["a fabric with a nap that is longer and softer than velvet"]],[]]],
+  poesy: [["noun",[["literature in metrical form"]],["poetry","verse"]]],
+  point: [["noun",[["a geometric element that has position but no extension","a point is defined by its coordinates"],["the precise location of something; a spatially limited location","she walked to a point where she could survey the whole street"],["a brief version of the essential meaning of something","get to the point"]],[]],["verb",[["indicate a place, direction, person, or thing; either spatially or figuratively","I showed the customer the glove section"],["be oriented","The weather vane points North"],["direct into a position for use","point a gun"]],["indicate","designate","show","orient","charge"]]],
+  poise: [["verb",[["be motionless, in suspension","The bird poised for a few moments before it attacked"],["prepare (oneself) for something unpleasant or difficult"],["cause to be balanced or suspended"]],["brace"]],["noun",[["a cgs unit of dynamic viscosity equal to one dyne-second per square centimeter; the viscosity of a fluid in which a force of one dyne per square centimeter maintains a velocity of 1 centimeter per second"],["a state of being balanced in a stable equilibrium"],["great coolness and composure under strain","keep your cool"]],["aplomb","assuredness","cool","sang-froid"]]],
+  poker: [["noun",[["fire iron consisting of a metal rod with a handle; used to stir a fire"],["any of various card games in which players bet that they hold the highest-ranking hand"]],["stove poker","fire hook","salamander","poker game"]]],
+  polar: [["adjective",[["having a pair of equal and opposite charges"],["characterized by opposite extremes; completely opposed","in diametric contradiction to his claims"],["located at or near or coming from the earth's poles","polar diameter"]],["diametric","diametrical","opposite"]]],
+  polka: [["noun",[["music performed for dancing the polka"],["a Bohemian dance with 3 steps and a hop in fast time"]],[]],["verb",[["dance a polka"]],[]]],
+  polyp: [["noun",[["a small vascular growth on the surface of a mucous membrane"],["one of two forms that coelenterates take (e.g. a hydra or coral): usually sedentary with a hollow cylindrical body usually with a ring of tentacles around the mouth","in some species of coelenterate, polyps are a phase in the life cycle that alternates with a medusoid phase"]],["polypus"]]],
+  pooch: [["verb",[["round one's lips as if intending to kiss"]],["pooch out"]],["noun",[["informal terms for dogs"]],["doggie","doggy","barker","bow-wow"]]],
+  poppy: [["noun",[["annual or biennial or perennial herbs having showy flowers"]],[]]],
+  porch: [["noun",[["a structure attached to the exterior of a building often forming a covered entrance"]],[]]],
+  poser: [["noun",[["a person who habitually pretends to be something he is not"],["a person who poses for a photographer or painter or sculptor","the president didn't have time to be a model so the artist worked from photos"],["a particularly difficult or baffling question or problem"]],["poseur","model","stumper","toughie","sticker"]]],
+  posit: [["noun",[["(logic) a proposition that is accepted as true in order to provide a basis for logical reasoning"]],["postulate"]],["verb",[["put (something somewhere) firmly","She posited her hand on his shoulder"],["put before","I submit to you that the accused is guilty"],["take as a given; assume as a postulate or axiom","He posited three basic laws of nature"]],["situate","fix","deposit","submit","state"]]],
+  posse: [["noun",[["a temporary police force"]],["posse comitatus"]]],
+  pouch: [["noun",[["a small or medium size container for holding or carrying things"],["an enclosed space","the trapped miners found a pocket of air"],["(anatomy) saclike structure in any of various animals (as a marsupial or gopher or pelican)"]],["sac","sack","pocket"]],["verb",[["put into a small bag"],["send by special mail that goes through diplomatic channels"],["swell or protrude outwards","His stomach bulged after the huge meal"]],["bulge","protrude"]]],
+  pound: [["verb",[["hit hard with the hand, fist, or some heavy instrument","the salesman pounded the door knocker"],["strike or drive against with a heavy impact","ram the gate with a sledgehammer"],["move heavily or clumsily","The heavy man lumbered across the room"]],["thump","poke","ram","ram down","lumber"]],["noun",[["16 ounces avoirdupois","he got a hernia when he tried to lift 100 pounds"],["the basic unit of money in Great Britain and Northern Ireland; equal to 100 pence"],["a unit of apothecary weight equal to 12 ounces troy"]],["lb","pound sterling","quid"]]],
+  power: [["noun",[["possession of controlling influence","the deterrent power of nuclear weapons"],["(physics) the rate of doing work; measured in watts (= joules/second)"],["possession of the qualities (especially mental qualities) required to do something or get something done","danger heightened his powers of discrimination"]],["powerfulness","ability"]],["verb",[["supply the force or power for the functioning of","The gasoline powers the engines"]],[]]],
+  prank: [["noun",[["acting like a clown or buffoon"],["a ludicrous or grotesque act done for fun and amusement"]],["buffoonery","clowning","japery","frivolity","harlequinade"]],["verb",[["dress or decorate showily or gaudily","Roses were pranking the lawn"],["dress up showily","He pranked himself out in his best clothes"]],[]]],
+  prawn: [["noun",[["any of various edible decapod crustaceans"],["shrimp-like decapod crustacean having two pairs of pincers; most are edible"]],["shrimp"]],["verb",[["fish for prawns"]],[]]],
+  preen: [["verb",[["clean with one's bill","The birds preened"],["pride or congratulate (oneself) for an achievement"],["dress or groom with elaborate care","She likes to dress when going to the opera"]],["plume","congratulate","primp","dress"]]],
+  press: [["verb",[["exert pressure or force to or upon","He pressed down on the boards"],["force or impel in an indicated direction","I urged him to finish his studies"],["to be oppressive or burdensome","weigh heavily on the mind"]],["urge","urge on","exhort","weigh"]],["noun",[["the state of demanding notice or attention","the insistence of their hunger"],["the print media responsible for gathering and publishing news in the form of newspapers or magazines"],["a machine used for printing"]],["imperativeness","insistence","insistency","pressure","public press"]]],
+  price: [["noun",[["the property of having material worth (often indicated by the amount of money something would bring if sold)","the fluctuating monetary value of gold and silver"],["the amount of money needed to purchase something","the price of gasoline"],["value measured by what must be given or done or undergone to obtain something","the cost in human life was enormous"]],["monetary value","cost","terms","damage","toll"]],["verb",[["determine the price of","The grocer priced his wares high"],["ascertain or learn the price of","Have you priced personal computers lately?"]],[]]],
+  prick: [["verb",[["make a small hole into, as with a needle or a thorn","The nurse pricked my finger to get a small blood sample"],["cause a stinging pain","The needle pricked his skin"],["raise","The dog pricked up his ears"]],["prickle","sting","twinge","prick up","cock up"]],["noun",[["insulting terms of address for people who are stupid or irritating or ridiculous"],["a depression scratched or carved into a surface"],["obscene terms for penis"]],["asshole","bastard","cocksucker","dickhead","shit"]]],
+  pride: [["noun",[["a feeling of self-respect and personal worth"],["satisfaction with your (or another's) achievements","he takes pride in his son's success"],["the trait of being spurred on by a dislike of falling below your standards"]],["pridefulness"]],["verb",[["be proud of","He prides himself on making it into law school"]],["plume","congratulate"]]],
+  prime: [["adjective",[["first in rank or degree","an architect of premier rank"],["used of the first or originating agent","prime mover"],["of superior grade","choice wines"]],["premier","choice","prize","quality","select"]],["noun",[["a natural number that has exactly two distinct natural number divisors: 1 and itself"],["the period of greatest prosperity or productivity"],["the second canonical hour; about 6 a.m."]],["prime quantity","flower","peak","heyday","bloom"]],["verb",[["insert a primer into (a gun, mine, or charge) preparatory to detonation or firing","prime a cannon"],["cover with a primer; apply a primer to"],["fill with priming liquid","prime a car engine"]],["ground","undercoat"]]],
+  primo: [["noun",[["the principal part of a duet (especially a piano duet)"]],[]],["adjective",[["the best of its kind"]],[]]],
+  print: [["noun",[["the text appearing in a book, newspaper, or other printed publication","I want to see it in print"],["a picture or design printed from an engraving"],["a visible indication made on a surface","some previous reader had covered the pages with dozens of marks"]],["mark"]],["verb",[["put into print","The newspaper published the news of the royal couple's divorce"],["write as if with print; not cursive"],["make into a print","print the negative"]],["publish"]]],
+  prior: [["adjective",[["earlier in time"]],["anterior"]],["noun",[["the head of a religious order; in an abbey the prior is next below the abbot"]],[]]],
+  prism: [["noun",[["a polyhedron with two congruent and parallel faces (the bases) and whose lateral faces are parallelograms"],["optical device having a triangular shape and made of glass or quartz; used to deviate a beam or invert an image"]],["optical prism"]]],
+  privy: [["noun",[["a room or building equipped with one or more toilets"],["a small outbuilding with a bench having holes through which a user can defecate"]],["toilet","lavatory","lav","can","john"]],["adjective",[["hidden from general view or use","a privy place to rest and think"],["(followed by `to') informed about something secret or not generally known","privy to the details of the conspiracy"]],["secluded","secret"]]],
+  prize: [["noun",[["something given for victory or superiority in a contest or competition or for winning a lottery","the prize was a free trip to Europe"],["goods or money obtained illegally"],["something given as a token of victory"]],["award","loot","booty","pillage","plunder"]],["verb",[["hold dear","I prize these old photographs"],["to move or force, especially in an effort to get something open","The burglar jimmied the lock"],["regard highly; think much of","I respect his judgement"]],["value","treasure","appreciate","pry","prise"]],["adjective",[["of superior grade","choice wines"]],["choice","prime","quality","select"]]],
+  probe: [["verb",[["question or examine thoroughly and closely"],["examine physically with or as if with a probe","probe an anthill"]],["examine","dig into","poke into"]],["noun",[["an inquiry into unfamiliar or questionable activities","there was a congressional probe into the scandal"],["a flexible slender surgical instrument with a blunt end that is used to explore wounds or body cavities"],["an exploratory action or expedition"]],["investigation"]]],
+  prone: [["adjective",[["having a tendency (to); often used in combination","a child prone to mischief"],["lying face downward"]],["prostrate"]]],
+  prong: [["noun",[["a pointed projection"]],[]]],
+  proof: [["noun",[["any factual evidence that helps to establish the truth of something","if you have any proof for what you say, now is the time to produce it"],["a formal series of statements showing that if one thing is true something else necessarily follows from it"],["a measure of alcoholic strength expressed as an integer twice the percentage of alcohol present (by volume)"]],["cogent evidence"]],["verb",[["make or take a proof of, such as a photographic negative, an etching, or typeset"],["knead to reach proper lightness","proof dough"],["read for errors","I should proofread my manuscripts"]],["proofread"]],["adjective",[["(used in combination or as a suffix) able to withstand","temptation-proof"]],[]]],
+  prose: [["noun",[["ordinary writing as distinguished from verse"],["matter of fact, commonplace, or dull expression"]],[]]],
+  proud: [["adjective",[["feeling self-respect or pleasure in something by which you measure your self-worth; or being a reason for pride","proud parents"],["having or displaying great dignity or nobility","a gallant pageant"]],["gallant","lofty","majestic"]]],
+  prove: [["verb",[["be shown or be found to be","She proved to be right"],["establish the validity of something, as by an example, explanation or experiment","The experiment demonstrated the instability of the compound"],["provide evidence for","The blood test showed that he was the father"]],["turn out","turn up","demonstrate","establish","show"]]],
+  prowl: [["verb",[["move about in or as if in a predatory manner","The suspicious stranger prowls the streets of the town"],["loiter about, with no apparent aim"]],["lurch"]],["noun",[["the act of prowling (walking about in a stealthy manner)"]],[]]],
+  proxy: [["noun",[["a person authorized to act for another"],["a power of attorney document given by shareholders of a corporation authorizing a specific vote on their behalf at a corporate meeting"]],["placeholder","procurator"]]],
+  prude: [["noun",[["a person excessively concerned about propriety and decorum"]],["puritan"]]],
+  prune: [["noun",[["dried plum"]],[]],["verb",[["cultivate, tend, and cut back the growth of","dress the plants in the garden"],["weed out unwanted or unnecessary things","We had to lose weight, so we cut the sugar from our diet"]],["snip","clip","crop","trim","lop"]]],
+  psalm: [["noun",[["any sacred song used to praise the deity"],["one of the 150 lyrical poems and prayers that comprise the Book of Psalms in the Old Testament; said to have been written by David"]],[]],["verb",[["sing or celebrate in psalms","He psalms the works of God"]],[]]],
+  pubic: [["adjective",[["relating or near the pubis","pubic bones"]],[]]],
+  pudgy: [["adjective",[["short and plump"]],["dumpy","podgy","tubby","roly-poly"]]],
+  puffy: [["adjective",[["being puffed out; used of hair style or clothing","a bouffant skirt"],["abnormally distended especially by fluids or gas","hungry children with bloated stomachs"],["blowing in puffs or short intermittent blasts","puffy off-shore winds"]],["bouffant","intumescent","tumescent","tumid","turgid"]]],
+  pulpy: [["adjective",[["like a pulp or overripe; not having stiffness"]],["squashy"]]],
+  pulse: [["noun",[["(electronics) a sharp transient wave in the normal electrical state (or a series of such transients)","the pulsations seemed to be coming from a star"],["the rhythmic contraction and expansion of the arteries with each beat of the heart","he could feel the beat of her heart"],["the rate at which the heart beats; usually measured to obtain a quick evaluation of a person's health"]],["pulsation","pulsing","impulse","heartbeat","beat"]],["verb",[["expand and contract rhythmically; beat rhythmically","The baby's heart was pulsating again after the surgeon massaged it"],["produce or modulate (as electromagnetic waves) in the form of short bursts or pulses or cause an apparatus to produce pulses","pulse waves"],["drive by or as if by pulsation","A soft breeze pulsed the air"]],["pulsate","throb"]]],
+  punch: [["verb",[["deliver a quick blow to","he punched me in the stomach"],["drive forcibly as if by a punch","the nail punched through the wall"],["make a hole into or between, as for ease of separation","perforate the sheets of paper"]],["plug","perforate"]],["noun",[["(boxing) a blow with the fist","I gave him a clout on his nose"],["an iced mixed drink usually containing alcohol and prepared for multiple servings; normally served in a punch bowl"],["a tool for making holes or indentations"]],["clout","poke","lick","biff","slug"]]],
+  pupal: [["adjective",[["of the insects in the chrysalis (cocoon) or post larval stage","the pupal stage"]],[]]],
+  pupil: [["noun",[["a learner who is enrolled in an educational institution"],["the contractile aperture in the center of the iris of the eye; resembles a large black dot"],["a young person attending school (up through senior high school)"]],["student","educatee","schoolchild","school-age child"]]],
+  puppy: [["noun",[["a young dog"],["an inexperienced young person"]],["pup"]]],
+  puree: [["noun",[["food prepared by cooking and straining or processed in a blender"]],[]],["verb",[["rub through a strainer or process in an electric blender","puree the vegetables for the baby"]],["strain"]]],
+  purge: [["verb",[["oust politically","Deng Xiao Ping was purged several times throughout his lifetime"],["clear of a charge"],["make pure or free from sin or guilt","he left the monastery purified"]],["purify","sanctify"]],["noun",[["the act of clearing yourself (or another) from some stigma or charge"],["an act of removing by cleansing; ridding of sediment or other undesired elements"],["an abrupt or sudden removal of a person or group from an organization or place","he died in a purge by Stalin"]],["purging","purgation"]]],
+  purse: [["noun",[["a container used for carrying money and small personal items or accessories (especially by women)","she reached into her bag and found a comb"],["a sum of money spoken of as the contents of a money purse","he made the contribution out of his own purse"],["a small bag for carrying money"]],["bag","handbag","pocketbook"]],["verb",[["contract one's lips into a rounded shape"],["gather or contract into wrinkles or folds; pucker","purse ones's lips"]],["wrinkle"]]],
+  pushy: [["adjective",[["marked by aggressive ambition and energy and initiative","an aggressive young executive"]],["pushful"]]],
+  putty: [["noun",[["a dough-like mixture of whiting and boiled linseed oil; used especially to patch woodwork or secure panes of glass"]],[]],["verb",[["apply putty in order to fix or fill","putty the window sash"]],[]]],
+  pygmy: [["noun",[["an unusually small individual"],["any member of various peoples having an average height of less than five feet"]],["pigmy"]]],
+  quack: [["noun",[["an untrained person who pretends to be a physician and who dispenses medical advice"],["the harsh sound of a duck"]],[]],["verb",[["utter quacking noises","The ducks quacked"],["act as a medical quack or a charlatan"]],[]],["adjective",[["medically unqualified","a quack doctor"]],[]]],
+  quail: [["verb",[["draw back, as with fear or pain","she flinched when they showed the slaughtering of the calf"]],["flinch","squinch","funk","cringe","shrink"]],["noun",[["flesh of quail; suitable for roasting or broiling if young; otherwise must be braised"],["small gallinaceous game birds"]],[]]],
+  quake: [["noun",[["shaking and vibration at the surface of the earth resulting from underground movement along a fault plane or from volcanic activity"]],["earthquake","temblor","seism"]],["verb",[["shake with fast, tremulous movements","His nostrils palpitated"],["shake with seismic vibrations","The earth was quaking"]],["quiver","palpitate","tremor"]]],
+  qualm: [["noun",[["uneasiness about the fitness of an action"],["a mild state of nausea"]],["scruple","misgiving","queasiness","squeamishness"]]],
+  quark: [["noun",[["(physics) hypothetical truly fundamental particle in mesons and baryons; there are supposed to be six flavors of quarks (and their antiquarks), which come in pairs; each has an electric charge of +2/3 or -1/3","quarks have not been observed directly but theoretical predictions based on their existence have been confirmed experimentally"],["fresh unripened cheese of a smooth texture made from pasteurized milk, a starter, and rennet"]],["quark cheese"]]],
+  quart: [["noun",[["a United States liquid unit equal to 32 fluid ounces; four quarts equal one gallon"],["a British imperial capacity measure (liquid or dry) equal to 2 pints or 1.136 liters"],["a United States dry unit equal to 2 pints or 67.2 cubic inches"]],["dry quart"]]],
+  quash: [["verb",[["put down by force or intimidation","The government quashes any attempt of an uprising"],["declare invalid","The contract was annulled"]],["repress","keep down","subdue","subjugate","reduce"]]],
+  quasi: [["adjective",[["having some resemblance","a quasi success"]],[]]],
+  queen: [["noun",[["the only fertile female in a colony of social insects such as bees and ants and termites; its function is to lay eggs"],["a female sovereign ruler"],["the wife or widow of a king"]],["queen regnant","female monarch"]],["verb",[["promote to a queen, as of a pawn in chess"],["become a queen","her pawn queened"]],[]]],
+  queer: [["adjective",[["beyond or deviating from the usual or expected","a curious hybrid accent"],["homosexual or arousing homosexual desires"]],["curious","funny","odd","peculiar","rum"]],["noun",[["offensive term for a homosexual man"]],["fagot","faggot","fag","fairy","nance"]],["verb",[["hinder or prevent (the efforts, plans, or desires) of","What ultimately frustrated every challenger was Ruth's amazing September surge"],["put in a dangerous, disadvantageous, or difficult position"]],["thwart","spoil","scotch","foil","cross"]]],
+  quell: [["verb",[["suppress or crush completely","squelch any sign of dissent"],["overcome or allay","quell my hunger"]],["squelch","quench","stay","appease"]]],
+  query: [["noun",[["an instance of questioning","there was a question about my training"]],["question","inquiry","enquiry","interrogation"]],["verb",[["pose a question"]],["question"]]],
+  quest: [["noun",[["a search for an alternative that meets cognitive criteria","the pursuit of love"],["the act of searching for something","a quest for diamonds"]],["pursuit","pursuance","seeking"]],["verb",[["make a search (for)","Things that die with their eyes open and questing"],["search the trail of (game)","The dog went off and quested"],["bark with prolonged noises, of dogs"]],["bay"]]],
+  queue: [["noun",[["a line of people or vehicles waiting for something"],["(information processing) an ordered list of tasks to be performed or messages to be transmitted"],["a braid of hair at the back of the head"]],["waiting line"]],["verb",[["form a queue, form a line, stand in line","Customers lined up in front of the store"]],["line up","queue up"]]],
+  quick: [["adjective",[["accomplished rapidly and without delay","was quick to make friends"],["hurried and brief","paid a flying visit"],["moving quickly and lightly","sleek and agile as a gymnast"]],["speedy","flying","fast","agile","nimble"]],["adverb",[["with little or no delay","the rescue squad arrived promptly"]],["promptly","quickly"]],["noun",[["any area of the body that is highly sensitive to pain (as the flesh underneath the skin or a fingernail or toenail)"]],[]]],
+  quiet: [["adjective",[["characterized by an absence or near absence of agitation or activity","a quiet life"],["free of noise or uproar; or making little if any sound","a quiet audience at the concert"],["not showy or obtrusive","clothes in quiet good taste"]],["restrained"]],["noun",[["a period of calm weather","there was a lull in the storm"],["an untroubled state; free from disturbances"],["the absence of sound","he needed silence in order to sleep"]],["lull","tranquillity","tranquility","silence"]],["verb",[["become quiet or quieter","The audience fell silent when the speaker entered"],["make calm or still","quiet the dragons of worry and fear"]],["quieten","hush","quiesce","quiet down","pipe down"]],["adverb",[["with little or no activity or no agitation (`quiet' is a nonstandard variant for `quietly')","her hands rested quietly in her lap"]],["quietly"]]],
+  quill: [["noun",[["pen made from a bird's feather"],["a stiff hollow protective spine on a porcupine or hedgehog"],["any of the larger wing or tail feathers of a bird"]],["quill pen","flight feather","pinion","quill feather"]]],
+  quilt: [["noun",[["bedding made of two layers of cloth filled with stuffing and stitched together"]],["comforter","comfort","puff"]],["verb",[["stitch or sew together","quilt the skirt"],["create by stitching together"]],[]]],
+  quirk: [["noun",[["a strange attitude or habit"],["a narrow groove beside a beading"]],["oddity","queerness","quirkiness","crotchet"]],["verb",[["twist or curve abruptly","She quirked her head in a peculiar way"]],[]]],
+  quite: [["adverb",[["to a degree (not used with a negative)","quite tasty"],["to the greatest extent; completely","you're quite right"],["of an unusually noticeable or exceptional or remarkable kind (not used with a negative)","her victory was quite something"]],["rather","quite a","quite an"]]],
+  quota: [["noun",[["a prescribed number","all the salesmen met their quota for the month"],["a proportional share assigned to each participant"],["a limitation on imports","the quota for Japanese imports was negotiated"]],[]]],
+  quote: [["verb",[["repeat a passage from","He quoted the Bible to her"],["name the price of","quote prices for cars"],["refer to for illustration or proof","He said he could quote several instances of this behavior"]],["cite"]],["noun",[["a punctuation mark used to attribute the enclosed text to someone else"],["a passage or expression that is quoted or cited"]],["quotation mark","inverted comma","quotation","citation"]]],
+  rabbi: [["noun",[["spiritual leader of a Jewish congregation; qualified to expound and apply Jewish law"],["a Hebrew title of respect for a Jewish scholar or teacher"]],[]]],
+  rabid: [["adjective",[["of or infected by rabies"],["marked by excessive enthusiasm for and intense devotion to a cause or idea","rabid isolationist"]],["fanatic","fanatical","overzealous"]]],
+  racer: [["noun",[["someone who drives racing cars at high speeds"],["a fast car that competes in races"],["an animal that races"]],["race driver","automobile driver","race car","racing car"]]],
+  radar: [["noun",[["measuring instrument in which the echo of a pulse of microwave radiation is used to detect and locate distant objects"]],["microwave radar","radio detection and ranging","radiolocation"]]],
+  radio: [["noun",[["medium for communication"],["an electronic receiver that detects and demodulates and amplifies transmitted signals"],["a communication system based on broadcasting electromagnetic waves"]],["radiocommunication","wireless","radio receiver","receiving set","radio set"]],["verb",[["transmit messages via radio waves","he radioed for help"]],[]],["adjective",[["indicating radiation or radioactivity","radiochemistry"]],[]]],
+  rainy: [["adjective",[["(of weather) wet by periods of rain","showery weather"]],["showery"]]],
+  raise: [["verb",[["raise the level or amount of something","raise my salary"],["raise from a lower to a higher position","Raise your hands"],["cause to be heard or known; express or utter","raise a shout"]],["lift","elevate","get up","bring up"]],["noun",[["the amount a salary is increased","he got a 3% raise"],["an upward slope or grade (as in a road)","the car couldn't make it up the rise"],["increasing the size of a bet (as in poker)","I'll see your raise and double it"]],["rise","wage hike","hike","wage increase","salary increase"]]],
+  rajah: [["noun",[["a prince or king in India"]],["raja"]]],
+  rally: [["verb",[["gather","drum up support"],["call to arms; of military personnel"],["gather or bring together","muster the courage to do something"]],["beat up","drum up","call up","mobilize","mobilise"]],["noun",[["a large gathering of people intended to arouse enthusiasm"],["the feat of mustering strength for a renewed effort","he singled to start a rally in the 9th inning"],["a marked recovery of strength or spirits during an illness"]],["mass meeting","rallying"]]],
+  ranch: [["noun",[["farm consisting of a large tract of land along with facilities needed to raise livestock (especially cattle)"]],["spread","cattle ranch","cattle farm"]],["verb",[["manage or run a ranch","Her husband is ranching in Arizona"]],[]]],
+  randy: [["adjective",[["feeling great sexual desire","feeling horny"]],["aroused","horny","ruttish","steamy","turned on"]]],
+  range: [["noun",[["an area in which something acts or operates or has power or control: \"the range of a supersonic jet\"","a piano has a greater range than the human voice"],["the limits within which something can be effective","range of motion"],["a large tract of grassy open land on which livestock can graze","they used to drive the cattle across the open range every spring"]],["scope","reach","orbit","compass","ambit"]],["verb",[["change or be different within limits","Estimates for the losses in the earthquake range as high as $2 billion"],["move about aimlessly or without any destination, often in search of food or employment","The gypsies roamed the woods"],["have a range; be capable of projecting over a certain distance, as of a gun","This gun ranges over two miles"]],["run","roll","wander","swan","stray"]]],
+  rapid: [["adjective",[["done or occurring in a brief period of time","a rapid rise through the ranks"],["characterized by speed; moving with or capable of moving with high speed","a rapid movement"]],["speedy"]],["noun",[["a part of a river where the current is very fast"]],[]]],
+  raspy: [["adjective",[["unpleasantly harsh or grating in sound","a gravelly voice"]],["grating","gravelly","rasping","rough","scratchy"]]],
+  ratio: [["noun",[["the relative magnitudes of two quantities (usually expressed as a quotient)"],["the relation between things (or parts of things) with respect to their comparative quantity, magnitude, or degree","an inordinate proportion of the book is given over to quotations"]],["proportion"]]],
+  ratty: [["adjective",[["of or characteristic of rats"],["showing signs of wear and tear","a ratty old overcoat"],["dirty and infested with rats"]],["moth-eaten","shabby","tatty"]]],
+  raven: [["noun",[["large black bird with a straight bill and long wedge-shaped tail"]],[]],["verb",[["obtain or seize by violence"],["prey on or hunt for","These mammals predate certain eggs"],["eat greedily","he devoured three sandwiches"]],["prey","predate","devour","guttle","pig"]]],
+  rayon: [["noun",[["a synthetic silklike fabric"]],[]]],
+  razor: [["noun",[["edge tool used in shaving"]],[]],["verb",[["shave with a razor"]],[]]],
+  reach: [["verb",[["reach a destination, either real or abstract","We hit Detroit by noon"],["reach a point in time, or a certain state or level","The thermometer hit 100 degrees"],["move forward or upward in order to touch; also in a metaphorical sense","Government reaches out to the people"]],["make","attain","hit","arrive at","gain"]],["noun",[["the limits within which something can be effective","range of motion"],["an area in which something acts or operates or has power or control: \"the range of a supersonic jet\"","a piano has a greater range than the human voice"],["the act of physically reaching or thrusting out"]],["range","scope","orbit","compass","ambit"]]],
+  react: [["verb",[["show a response or a reaction to something"],["act against or in opposition to","She reacts negatively to everything I say"],["undergo a chemical reaction; react with another substance under certain conditions","The hydrogen and the oxygen react"]],["respond","oppose"]]],
+  ready: [["adjective",[["completely prepared or in condition for immediate action or use or progress","get ready"],["(of especially money) immediately available","he seems to have ample ready money"],["mentally disposed","he was ready to believe her"]],[]],["verb",[["prepare for eating by applying heat","Cook me dinner, please"],["make ready or suitable or equip in advance for a particular purpose or for some use, event, etc","Get the children ready for school!"]],["cook","fix","make","prepare","set up"]],["noun",[["poised for action","their guns were at the ready"]],[]]],
+  realm: [["noun",[["a domain in which something is dominant","the untroubled kingdom of reason"],["the domain ruled by a king or queen"],["a knowledge domain that you are interested in or are communicating about","it was a limited realm of discourse"]],["kingdom","land","region"]]],
+  rearm: [["verb",[["arm again","After the war, the defeated country was not rearmed by the victors"],["arm anew","After the war, the defeated country was not allowed to rearm"]],["re-arm"]]],
+  rebel: [["noun",[["a person who takes part in an armed rebellion against the constituted authority (especially in the hope of improving conditions)"],["someone who exhibits great independence in thought and action"],["`Johnny' was applied as a nickname for Confederate soldiers by the Federal soldiers in the American Civil War; `greyback' derived from their grey Confederate uniforms"]],["insurgent","insurrectionist","freedom fighter","maverick","greyback"]],["verb",[["take part in a rebellion; renounce a former allegiance"],["break with established customs"]],["arise","rise","rise up","renegade"]]],
+  rebus: [["noun",[["a puzzle where you decode a message consisting of pictures representing syllables and words"]],[]]],
+  rebut: [["verb",[["overthrow by argument, evidence, or proof","The speaker refuted his opponent's arguments"],["prove to be false or incorrect"]],["refute","controvert"]]],
+  recap: [["noun",[["a summary at the end that repeats the substance of a longer discussion"],["a used automobile tire that has been remolded to give it new treads"]],["recapitulation","review","retread"]],["verb",[["summarize briefly","Let's recapitulate the main ideas"]],["recapitulate"]]],
+  recur: [["verb",[["happen or occur again","This is a recurring story"],["return in thought or speech to something"],["have recourse to","The government resorted to rationing meat"]],["repeat","go back","fall back","resort"]]],
+  reedy: [["adjective",[["having a tone of a reed instrument"],["resembling a reed in being upright and slender"]],["wheezy","reedlike"]]],
+  refer: [["verb",[["make reference to","His name was mentioned in connection with the invention"],["be relevant to","There were lots of questions referring to her talk"],["think of, regard, or classify under a subsuming principle or with a general group or in relation to another","This plant can be referred to a known species"]],["mention","advert","bring up","cite","name"]]],
+  refit: [["noun",[["outfitting a ship again (by repairing or replacing parts)"]],[]],["verb",[["fit out again"]],[]]],
+  regal: [["adjective",[["belonging to or befitting a supreme ruler","golden age of imperial splendor"]],["imperial","majestic","purple","royal"]]],
+  reign: [["verb",[["have sovereign power","Henry VIII reigned for a long time"],["be larger in number, quantity, power, status or importance","Money reigns supreme here"]],["predominate","dominate","rule","prevail"]],["noun",[["a period during which something or somebody is dominant or powerful","he was helpless under the reign of his egotism"],["the period during which a monarch is sovereign","during the reign of Henry VIII"],["royal authority; the dominion of a monarch"]],["sovereignty"]]],
+  relax: [["verb",[["become less tense, rest, or take one's ease","He relaxed in the hot tub"],["make less taut","relax the tension on the rope"],["become loose or looser or less tight","The noose loosened"]],["loosen up","unbend","unwind","decompress","slow down"]]],
+  relay: [["noun",[["the act of passing something along from one person or group to another","the relay was successful"],["a crew of workers who relieve another crew"],["a fresh team to relieve weary draft animals"]],[]],["verb",[["pass along","Please relay the news to the villagers"],["control or operate by relay"]],[]]],
+  relic: [["noun",[["an antiquity that has survived from the distant past"],["something of sentimental value"]],["keepsake","souvenir","token"]]],
+  remit: [["verb",[["send (money) in payment","remit $25"],["hold back to a later time","let's postpone the exam"],["release from (claims, debts, or taxes)","The taxes were remitted"]],["postpone","prorogue","hold over","put over","table"]],["noun",[["the topic that a person, committee, or piece of research is expected to deal with or has authority to deal with","they set up a group with a remit to suggest ways for strengthening family life"],["(law) the act of remitting (especially the referral of a law case to another court)"]],["remission","remitment"]]],
+  renal: [["adjective",[["of or relating to the kidneys"]],["nephritic"]]],
+  renew: [["verb",[["reestablish on a new, usually improved, basis or make new or like new","We renewed our friendship after a hiatus of twenty years"],["cause to appear in a new form","the old product was reincarnated to appeal to a younger market"]],["regenerate","reincarnate"]]],
+  repay: [["verb",[["pay back","Please refund me my money"],["make repayment for or return something"],["act or give recompense in recognition of someone's behavior or actions"]],["refund","return","give back","requite","reward"]]],
+  repel: [["verb",[["cause to move back by force or influence","repel the enemy"],["be repellent to; cause aversion in"],["force or drive back","repel the attacker"]],["drive","repulse","force back","push back","beat back"]]],
+  reply: [["noun",[["a statement (either spoken or written) that is made to reply to a question or request or criticism or accusation","I waited several days for his answer"],["the speech act of continuing a conversational exchange","he growled his reply"]],["answer","response"]],["verb",[["react verbally","She didn't want to answer"]],["answer","respond"]]],
+  rerun: [["verb",[["broadcast again, as of a film"],["rerun a performance of a play, for example"],["run again for office","Bush wants to rerun in 1996"]],["rebroadcast"]],["noun",[["a program that is broadcast again","she likes to watch `I love Lucy' reruns"]],[]]],
+  reset: [["verb",[["set anew","They re-set the date on the clock"],["set to zero","reset instruments and dials"],["adjust again after an initial failure"]],["readjust"]],["noun",[["device for resetting instruments or controls"]],[]]],
+  resin: [["noun",[["any of a class of solid or semisolid viscous substances obtained either as exudations from certain plants or prepared by polymerization of simple molecules"]],["rosin"]]],
+  retch: [["verb",[["eject the contents of the stomach through the mouth","After drinking too much, the students vomited"],["make an unsuccessful effort to vomit; strain to vomit"]],["vomit","vomit up","purge","cast","sick"]],["noun",[["an involuntary spasm of ineffectual vomiting","a bad case of the heaves"]],["heave"]]],
+  retro: [["noun",[["a fashion reminiscent of the past"]],[]],["adjective",[["affecting things past","retroactive tax increase"]],["ex post facto","retroactive"]]],
+  retry: [["verb",[["hear or try a court case anew"]],["rehear"]]],
+  reuse: [["verb",[["use again after processing","We must recycle the cardboard boxes"]],["recycle","reprocess"]]],
+  revel: [["noun",[["unrestrained merrymaking"]],["revelry"]],["verb",[["take delight in","he delights in his granddaughter"],["celebrate noisily, often indulging in drinking; engage in uproarious festivities","The members of the wedding party made merry all night"]],["delight","enjoy","racket","make whoopie","make merry"]]],
+  revue: [["noun",[["a variety show with topical sketches and songs and dancing and comedians"]],["review"]]],
+  rhino: [["noun",[["massive powerful herbivorous odd-toed ungulate of southeast Asia and Africa having very thick skin and one or two horns on the snout"]],["rhinoceros"]]],
+  rhyme: [["noun",[["correspondence in the sounds of two or more lines (especially final sounds)"],["a piece of poetry"]],["rime","verse"]],["verb",[["compose rhymes"],["be similar in sound, especially with respect to the last syllable","hat and cat rhyme"]],["rime"]]],
+  rider: [["noun",[["a traveler who actively rides an animal (as a horse or camel)"],["a clause that is appended to a legislative bill"],["a traveler who actively rides a vehicle (as a bicycle or motorcycle)"]],[]]],
+  ridge: [["noun",[["a long narrow natural elevation or striation"],["any long raised strip"],["a long narrow natural elevation on the floor of the ocean"]],[]],["verb",[["extend in ridges","The land ridges towards the South"],["plough alternate strips by throwing the furrow onto an unploughed strip"],["throw soil toward (a crop row) from both sides","He ridged his corn"]],[]]],
+  rifle: [["noun",[["a shoulder firearm with a long barrel and a rifled bore","he lifted the rifle to his shoulder and fired"]],[]],["verb",[["steal goods; take as spoils","During the earthquake people looted the stores that were deserted by their owners"],["go through in search of something; search through someone's belongings in an unauthorized way","Who rifled through my desk drawers?"]],["plunder","despoil","loot","reave","strip"]]],
+  right: [["adverb",[["precisely, exactly","stand right here!"],["immediately","she called right after dinner"],["exactly","he fell flop on his face"]],["flop"]],["noun",[["an abstract idea of that which is due to a person or governmental body by law or tradition or nature","they are endowed by their Creator with certain unalienable Rights"],["location near or direction toward the right side; i.e. the side to the south when a person or object faces east","he stood on the right"],["the piece of ground in the outfield on the catcher's right"]],["right field","rightfield"]],["adjective",[["being or located on or directed toward the side of the body to the east when facing north","my right hand"],["free from error; especially conforming to fact or truth","the correct answer"],["socially right or correct","it isn't right to leave the party without saying goodbye"]],["correct"]],["verb",[["make reparations or amends for","right a wrongs done to the victims of the Holocaust"],["put in or restore to an upright position","They righted the sailboat that had capsized"],["regain an upright or proper position","The capsized boat righted again"]],["compensate","redress","correct"]]],
+  rigid: [["adjective",[["incapable of or resistant to bending","a rigid strip of metal"],["incapable of compromise or flexibility"],["incapable of adapting or changing to meet circumstances","a rigid disciplinarian"]],["stiff","strict","inflexible","unbending"]]],
+  rigor: [["noun",[["something hard to endure","the asperity of northern winters"],["the quality of being valid and rigorous"],["excessive sternness","severity of character"]],["asperity","grimness","hardship","rigour","severity"]]],
+  rinse: [["verb",[["wash off soap or remaining dirt"],["clean with some chemical process"],["rinse one's mouth and throat with mouthwash","gargle with this liquid"]],["rinse off","wash","gargle"]],["noun",[["a liquid preparation used on wet hair to give it a tint"],["the removal of soap with clean water in the final stage of washing"],["the act of giving a light tint to the hair"]],["rinsing"]]],
+  ripen: [["verb",[["cause to ripen or develop fully","The sun ripens the fruit"],["grow ripe","The plums ripen in July"]],["mature"]]],
+  risen: [["adjective",[["(of e.g. celestial bodies) above the horizon","the risen sun"]],[]]],
+  riser: [["noun",[["a person who rises (especially from bed)","he's usually a late riser"],["a vertical pipe in a building"],["structural member consisting of the vertical part of a stair or step"]],["riser pipe","riser pipeline","riser main"]]],
+  risky: [["adjective",[["involving risk or danger","skydiving is a hazardous sport"],["not financially safe or secure","a bad investment"]],["hazardous","wild","bad","high-risk","speculative"]]],
+  rival: [["noun",[["the contestant you hope to defeat","he had respect for his rivals"]],["challenger","competitor","competition","contender"]],["verb",[["be equal to in quality or ability","Nothing can rival cotton for durability"],["be the rival of, be in competition with","we are rivaling for first place in the race"]],["equal","touch","match"]]],
+  river: [["noun",[["a large natural stream of water (larger than a creek)","the river was navigable for 50 miles"]],[]]],
+  rivet: [["verb",[["direct one's attention on something","Please focus on your studies and not on your hobbies"],["fasten with a rivet or rivets"],["hold (someone's attention)","The discovery of the skull riveted the paleontologists"]],["concentrate","focus","center","centre","pore"]],["noun",[["ornament consisting of a circular rounded protuberance (as on a vault or shield or belt)"],["heavy pin having a head at one end and the other end being hammered flat after being passed through holes in the pieces that are fastened together"]],["stud"]]],
+  roach: [["noun",[["a roll of hair brushed back from the forehead"],["the butt of a marijuana cigarette"],["street names for flunitrazepan"]],["rophy","rope","roofy","forget me drug","circle"]],["verb",[["comb (hair) into a roach"],["cut the mane off (a horse)"]],[]]],
+  roast: [["verb",[["cook with dry heat, usually in an oven","roast the turkey"],["subject to laughter or ridicule","The satirists ridiculed the plans for a new opera house"]],["ridicule","guy","blackguard","laugh at","jest at"]],["noun",[["a piece of meat roasted or for roasting and of a size for slicing into more than one portion"],["negative criticism"]],["joint","knock"]],["adjective",[["(meat) cooked by dry heat in an oven"]],["roasted"]]],
+  robin: [["noun",[["small Old World songbird with a reddish breast"],["large American thrush having a rust-red breast and abdomen"]],["redbreast","robin redbreast"]]],
+  robot: [["noun",[["a mechanism that can move automatically"]],["automaton","golem"]]],
+  rocky: [["adjective",[["abounding in rocks or stones","rocky fields"],["causing or characterized by jolts and irregular movements","a rough ride"],["liable to rock","on high rocky heels"]],["bouldery","bouldered","stony","rough","bumpy"]]],
+  rodeo: [["noun",[["an exhibition of cowboy skills"],["an enclosure for cattle that have been rounded up"]],[]]],
+  rogue: [["noun",[["a deceitful and unreliable scoundrel"]],["knave","rascal","rapscallion","scalawag","scallywag"]]],
+  roomy: [["noun",[["an associate who shares a room with you"]],["roommate","roomie"]],["adjective",[["(of buildings and rooms) having ample space","a roomy but sparsely furnished apartment"]],["spacious"]]],
+  roost: [["verb",[["sit, as on a branch","The birds perched high in the tree"],["settle down or stay, as if on a roost"]],["perch","rest"]],["noun",[["a shelter with perches for fowl or other birds"],["a perch on which domestic fowl rest or sleep"]],[]]],
+  rotor: [["noun",[["the rotating armature of a motor or generator"],["the revolving bar of a distributor"],["rotating mechanism consisting of an assembly of rotating airfoils","there are horizontal rotors on a helicopter or compressor rotors in a jet engine"]],["rotor coil"]]],
+  rouge: [["noun",[["makeup consisting of a pink or red powder applied to the cheeks"]],["paint","blusher"]],["verb",[["redden by applying rouge to","she rouged her cheeks"]],[]]],
+  rough: [["adjective",[["having or caused by an irregular surface","trees with rough bark"],["(of persons or behavior) lacking refinement or finesse","she was a diamond in the rough"],["not quite exact or correct","the approximate time was 10 o'clock"]],["unsmooth","approximate","approximative"]],["verb",[["prepare in preliminary or sketchy form"]],["rough in","rough out"]],["adverb",[["with roughness or violence (`rough' is an informal variant for `roughly')","he was pushed roughly aside"],["with rough motion as over a rough surface","ride rough"]],["roughly"]],["noun",[["the part of a golf course bordering the fairway where the grass is not cut short"]],[]]],
+  round: [["noun",[["a charge of ammunition for a single shot"],["an interval during which a recurring sequence of events occurs","the never-ending cycle of the seasons"],["a regular route for a sentry or policeman","in the old days a policeman walked a beat and knew all his people by name"]],["unit of ammunition","one shot","cycle","rhythm","beat"]],["adjective",[["having the shape or form of a circle"],["(of sounds) full and rich","orotund tones"],["(mathematics) expressed to the nearest integer, ten, hundred, or thousand","in round numbers"]],["circular","orotund","rotund","pear-shaped"]],["verb",[["wind around; move along a circular course","round the bend"],["make round","round the edges"],["pronounce with rounded lips"]],["round out","round off","labialize","labialise"]],["adverb",[["from beginning to end; throughout","It rains all year round on Skye"]],["around"]]],
+  rouse: [["verb",[["become active","He finally bestirred himself"],["force or drive out","The police routed them out of bed at 2 A.M."],["cause to be agitated, excited, or roused","The speaker charged up the crowd with his inflammatory remarks"]],["bestir","rout out","drive out","force out","agitate"]]],
+  route: [["noun",[["an established line of travel or access"],["an open way (generally public) for travel or transportation"]],["path","itinerary","road"]],["verb",[["send documents or materials to appropriate destinations"],["send via a specific route"],["divert in a specified direction","divert the low voltage to the engine cylinders"]],[]]],
+  rover: [["noun",[["someone who leads a wandering unsettled life"],["an adult member of the Boy Scouts movement"]],["wanderer","roamer","bird of passage","scouter"]]],
+  rowdy: [["noun",[["a cruel and brutal fellow"]],["bully","tough","hooligan","ruffian","roughneck"]],["adjective",[["disturbing the public peace; loud and rough","a raucous party"]],["raucous"]]],
+  rower: [["noun",[["someone who rows a boat"]],["oarsman"]]],
+  royal: [["adjective",[["of or relating to or indicative of or issued or performed by a king or queen or other monarch","the royal party"],["established or chartered or authorized by royalty","the Royal Society"],["being of the rank of a monarch","of royal ancestry"]],[]],["noun",[["a sail set next above the topgallant on a royal mast"],["stag with antlers of 12 or more branches"]],["royal stag"]]],
+  ruddy: [["adjective",[["inclined to a healthy reddish color often associated with outdoor life","a ruddy complexion"],["of a color at the end of the color spectrum (next to orange); resembling the color of blood or cherries or tomatoes or rubies"]],["rubicund","florid","sanguine","red","reddish"]]],
+  rugby: [["noun",[["a form of football played with an oval ball"]],["rugby football","rugger"]]],
+  ruler: [["noun",[["a person who rules or commands","swayer of the universe"],["measuring stick consisting of a strip of wood or metal or plastic with a straight edge that is used for drawing straight lines and measuring lengths"]],["swayer","rule"]]],
+  rumba: [["noun",[["syncopated music in duple time for dancing the rumba"],["a folk dance in duple time that originated in Cuba with Spanish and African elements; features complex footwork and violent movement"],["a ballroom dance based on the Cuban folk dance"]],["rhumba"]],["verb",[["dance the rhumba"]],["rhumba"]]],
+  rumor: [["noun",[["gossip (usually a mixture of truth and untruth) passed around by word of mouth"]],["rumour","hearsay"]],["verb",[["tell or spread rumors","It was rumored that the next president would be a woman"]],["rumour","bruit"]]],
+  rupee: [["noun",[["the basic unit of money in Sri Lanka; equal to 100 cents"],["the basic unit of money in Seychelles; equal to 100 cents"],["the basic unit of money in Nepal; equal to 100 paisa"]],[]]],
+  rural: [["adjective",[["living in or characteristic of farming or country life","rural people"],["of or relating to the countryside as opposed to the city","rural electrification"]],[]]],
+  rusty: [["adjective",[["covered with or consisting of rust","a rusty machine"],["of the brown color of rust"],["impaired in skill by neglect"]],["rust","rust-brown","out of practice"]]],
+  sadly: [["adverb",[["in an unfortunate way","sadly he died before he could see his grandchild"],["with sadness; in a sad manner","`She died last night,' he said sadly"],["in an unfortunate or deplorable manner","he was sadly neglected"]],["unhappily","deplorably","lamentably","woefully"]]],
+  saint: [["noun",[["a person who has died and has been declared a saint by canonization"],["person of exceptional holiness"],["model of excellence or perfection of a kind; one having no equal"]],["holy man","holy person","angel","ideal","paragon"]],["verb",[["hold sacred"],["declare (a dead person) to be a saint","After he was shown to have performed a miracle, the priest was canonized"]],["enshrine","canonize","canonise"]]],
+  salad: [["noun",[["food mixtures either arranged on a plate or tossed and served with a moist dressing; usually consisting of or including greens"]],[]]],
+  sally: [["noun",[["witty remark"],["a military action in which besieged troops burst forth from their position"],["a venture off the beaten path","a sally into the wide world beyond his home"]],["wisecrack","crack","quip","sortie","sallying forth"]]],
+  salon: [["noun",[["gallery where works of art can be displayed"],["a shop where hairdressers and beauticians work"],["elegant sitting room where guests are received"]],["beauty salon","beauty parlor","beauty parlour","beauty shop"]]],
+  salsa: [["noun",[["spicy sauce of tomatoes and onions and chili peppers to accompany Mexican foods"]],[]]],
+  salty: [["adjective",[["engagingly stimulating or provocative","a piquant wit"],["containing or filled with salt","salt water"],["one of the four basic taste sensations; like the taste of sea water"]],["piquant"]]],
+  salve: [["noun",[["semisolid preparation (usually containing a medicine) applied externally as a remedy or for soothing an irritation"],["anything that remedies or heals or soothes","he needed a salve for his conscience"]],["ointment","unction","unguent","balm"]],["verb",[["save from ruin, destruction, or harm"],["apply a salve to, usually for the purpose of healing"]],["salvage","relieve","save"]]],
+  salvo: [["noun",[["an outburst resembling the discharge of firearms or the release of bombs"],["rapid simultaneous discharge of firearms","our fusillade from the left flank caught them by surprise"],["a sudden outburst of cheers","there was a salvo of approval"]],["fusillade","volley","burst"]]],
+  sandy: [["adjective",[["of hair color; pale yellowish to yellowish brown","flaxen locks"],["resembling or containing or abounding in sand; or growing in sandy areas","arenaceous limestone"]],["flaxen","arenaceous","sandlike"]]],
+  sappy: [["adjective",[["abounding in sap","sappy maple trees"],["effusively or insincerely emotional","a bathetic novel"]],["bathetic","drippy","hokey","maudlin","mawkish"]]],
+  sassy: [["adjective",[["improperly forward or bold","don't be fresh with me"]],["fresh","impertinent","impudent","overbold","smart"]]],
+  satin: [["noun",[["a smooth fabric of silk or rayon; has a glossy face and a dull back"]],[]]],
+  satyr: [["noun",[["man with strong sexual desires"],["one of a class of woodland deities; attendant on Bacchus; identified with Roman fauns"]],["lecher","lech","letch","forest god"]]],
+  sauce: [["noun",[["flavorful relish or dressing or topping served as an accompaniment to food"]],[]],["verb",[["behave saucily or impudently towards"],["dress (food) with a relish"],["add zest or flavor to, make more interesting","sauce the roast"]],[]]],
+  saucy: [["adjective",[["characterized by a lightly pert and exuberant quality","a certain irreverent gaiety and ease of manner"],["improperly forward or bold","don't be fresh with me"]],["impertinent","irreverent","pert","fresh","impudent"]]],
+  sauna: [["noun",[["a Finnish steam bath; steam is produced by pouring water over heated rocks"]],["sweat room"]]],
+  saute: [["verb",[["fry briefly over high heat","saute the onions"]],[]],["noun",[["a dish of sauteed food"]],[]],["adjective",[["fried quickly in a little fat"]],["sauteed"]]],
+  savor: [["verb",[["derive or receive pleasure from; get enjoyment from; take pleasure in","She relished her fame and basked in her glory"],["have flavor; taste of something"],["taste appreciatively","savor the soup"]],["enjoy","bask","relish","savour","taste"]],["noun",[["the taste experience when a savoury condiment is taken into the mouth"]],["relish","flavor","flavour","sapidity","savour"]]],
+  savoy: [["noun",[["head of soft crinkly leaves"],["a geographical region of historical importance; a former duchy in what is now southwestern France, western Switzerland, and northwestern Italy"]],["savoy cabbage"]]],
+  savvy: [["verb",[["get the meaning of something","Do you comprehend the meaning of this letter?"]],["grok","get the picture","comprehend","dig","grasp"]],["noun",[["the cognitive condition of someone who understands","he has virtually no understanding of social cause and effect"]],["understanding","apprehension","discernment"]]],
+  scald: [["noun",[["a burn cause by hot liquid or steam"],["the act of burning with steam or hot water"]],[]],["verb",[["subject to harsh criticism","The Senator blistered the administration in his speech on Friday"],["treat with boiling water","scald tomatoes so that they can be peeled"],["heat to the boiling point","scald the milk"]],["blister","whip"]]],
+  scale: [["noun",[["an ordered reference standard","judging on a scale of 1 to 10"],["relative magnitude","they entertained on a grand scale"],["the ratio between the size of something and a representation of it","the scale of the map"]],["scale of measurement","graduated table","ordered series"]],["verb",[["measure by or as if by a scale","This bike scales only 25 pounds"],["pattern, make, regulate, set, measure, or estimate according to some rate or standard"],["take by attacking with scaling ladders","The troops scaled the walls of the fort"]],[]]],
+  scalp: [["noun",[["the skin that covers the top of the head","they wanted to take his scalp as a trophy"]],[]],["verb",[["sell illegally, as on the black market"],["remove the scalp of","The enemies were scalped"]],[]]],
+  scaly: [["adjective",[["rough to the touch; covered with scales or scurf"],["having the body covered or partially covered with thin horny plates, as some fish and reptiles"]],["lepidote","leprose","scabrous","scurfy","scaley"]]],
+  scamp: [["noun",[["one who is playfully mischievous"]],["imp","monkey","rascal","rapscallion","scalawag"]],["verb",[["perform hastily and carelessly"]],[]]],
+  scant: [["adjective",[["less than the correct or legal or full amount often deliberately so","a light pound"]],["light","short"]],["verb",[["work hastily or carelessly; deal with inadequately and superficially"],["limit in quality or quantity"],["supply sparingly and with restricted quantities","stint with the allowance"]],["skimp","stint"]]],
+  scare: [["verb",[["cause fear in","The stranger who hangs around the building frightens me"],["cause to lose courage","dashed by the refusal"]],["frighten","fright","affright","daunt","dash"]],["noun",[["sudden mass fear and anxiety over anticipated events","panic in the stock market"],["a sudden attack of fear"]],["panic","panic attack"]]],
+  scarf: [["noun",[["a garment worn around the head or neck or shoulders for warmth or decoration"],["a joint made by notching the ends of two pieces of timber or metal so that they will lock together end-to-end"]],["scarf joint"]],["verb",[["masturbate while strangling oneself"],["unite by a scarf joint"],["wrap in or adorn with a scarf"]],[]]],
+  scary: [["adjective",[["provoking fear terror","a scary movie"]],["chilling","shivery","shuddery"]]],
+  scene: [["noun",[["the place where some action occurs","the police returned to the scene of the crime"],["an incident (real or imaginary)","their parting was a sad scene"],["the visual percept of a region","the most desirable feature of the park are the beautiful views"]],["view","aspect","prospect","vista","panorama"]]],
+  scent: [["noun",[["a distinctive odor that is pleasant"],["an odor left in passing by which a person or animal can be traced"],["any property detected by the olfactory system"]],["aroma","fragrance","perfume","olfactory property","smell"]],["verb",[["cause to smell or be smelly"],["catch the scent of; get wind of","The dog nosed out the drugs"],["apply perfume to","She perfumes herself every day"]],["odorize","odourise","nose","wind","perfume"]]],
+  scion: [["noun",[["a descendent or heir","a scion of royal stock"]],[]]],
+  scoff: [["verb",[["laugh at with contempt and derision","The crowd jeered at the speaker"],["treat with contemptuous disregard","flout the rules"]],["jeer","flout","barrack","gibe"]],["noun",[["showing your contempt by derision"]],["jeer","jeering","mockery","scoffing"]]],
+  scold: [["verb",[["censure severely or angrily","The mother scolded the child for entering a stranger's car"],["show one's unhappiness or critical attitude","He scolded about anything that he thought was wrong"]],["call on the carpet","take to task","rebuke","rag","trounce"]],["noun",[["someone (especially a woman) who annoys people by constantly finding fault"]],["scolder","nag","nagger","common scold"]]],
+  scone: [["noun",[["small biscuit (rich with cream and eggs) cut into diamonds or sticks and baked in an oven or (especially originally) on a griddle"]],[]]],
+  scoop: [["noun",[["the quantity a scoop will hold"],["a hollow concave shape made by removing something"],["a news report that is reported first by one news organization","he got a scoop on the bribery of city officials"]],["scoopful","pocket","exclusive"]],["verb",[["take out or up with or as if with a scoop","scoop the sugar out of the container"],["get the better of","the goal was to best the competition"]],["scoop out","lift out","scoop up","take up","outdo"]]],
+  scope: [["noun",[["an area in which something acts or operates or has power or control: \"the range of a supersonic jet\"","a piano has a greater range than the human voice"],["the state of the environment in which a situation exists","you can't do that in a university setting"],["a magnifier of images of distant objects"]],["range","reach","orbit","compass","ambit"]]],
+  score: [["noun",[["a number or letter indicating quality (especially of a student's performance)","she made good marks in algebra"],["a written form of a musical composition; parts for different instruments appear on separate staves on large pages","he studied the score of the sonata"],["a number that expresses the accomplishment of a team or an individual in a game or contest","the score was 7 to 0"]],["mark","grade","musical score"]],["verb",[["gain points in a game","The home team scored many times"],["make small marks into the surface of","score the clay before firing it"],["make underscoring marks"]],["hit","tally","rack up","nock","mark"]]],
+  scorn: [["noun",[["lack of respect accompanied by a feeling of intense dislike","he was held in contempt"],["open disrespect for a person or thing"]],["contempt","disdain","despite"]],["verb",[["look down on with disdain","He despises the people he has to work for"],["reject with contempt","She spurned his advances"]],["contemn","despise","disdain","reject","spurn"]]],
+  scour: [["verb",[["examine minutely","The police scoured the country for the fugitive"],["clean with hard rubbing","She scrubbed his back"],["rub hard or scrub","scour the counter tops"]],["scrub","abrade"]],["noun",[["a place that is scoured (especially by running water)"]],[]]],
+  scout: [["noun",[["a person employed to keep watch for some anticipated event"],["someone employed to discover and recruit talented persons (especially in the worlds of entertainment or sports)"],["someone who can find paths through unexplored territory"]],["lookout","lookout man","sentinel","sentry","watch"]],["verb",[["explore, often with the goal of finding something or somebody"]],["reconnoiter","reconnoitre"]]],
+  scowl: [["noun",[["a facial expression of dislike or displeasure"]],["frown"]],["verb",[["frown with displeasure"]],[]]],
+  scram: [["verb",[["leave immediately; used usually in the imperative form","Scram!"]],["buzz off","fuck off","get","bugger off"]]],
+  scrap: [["noun",[["a small fragment of something broken off from the whole","a bit of rock caught him in the eye"],["worthless material that is to be disposed of"],["a small piece of something that is left over after the rest has been used","she jotted it on a scrap of paper"]],["bit","chip","flake","fleck","rubbish"]],["verb",[["dispose of (something useless or old)","trash these old chairs"],["have a disagreement over something","We quarreled over the question as to who discovered America"],["make into scrap or refuse","scrap the old airplane and sell the parts"]],["trash","junk","quarrel","dispute","argufy"]]],
+  scree: [["noun",[["a sloping mass of loose rocks at the base of a cliff"]],["talus"]]],
+  screw: [["noun",[["someone who guards prisoners"],["a simple machine of the inclined-plane type consisting of a spirally threaded cylindrical rod that engages with a similarly threaded hole"],["a propeller with several angled blades that rotates to push against water or air"]],["prison guard","jailer","jailor","gaoler","turnkey"]],["verb",[["have sexual intercourse with","This student sleeps with everyone in her dorm"],["turn like a screw"],["cause to penetrate, as with a circular motion","drive in screws or bolts"]],["sleep together","roll in the hay","love","make out","make love"]]],
+  scrub: [["verb",[["clean with hard rubbing","She scrubbed his back"],["wash thoroughly","surgeons must scrub prior to an operation"],["postpone indefinitely or annul something that was scheduled","Call off the engagement"]],["scour","scrub up","cancel","call off","scratch"]],["noun",[["dense vegetation consisting of stunted trees or bushes"],["the act of cleaning a surface by rubbing it with a brush and soap and water"]],["chaparral","bush","scrubbing","scouring"]],["adjective",[["(of domestic animals) not selectively bred"]],[]]],
+  scrum: [["noun",[["(rugby) the method of beginning play in which the forwards of each team crouch side by side with locked arms; play starts when the ball is thrown in between them and the two sides compete for possession"]],["scrummage"]]],
+  scuba: [["noun",[["a device (trade name Aqua-Lung) that lets divers breathe under water; scuba is an acronym for self-contained underwater breathing apparatus"]],["aqualung"]]],
+  sedan: [["noun",[["a car that is closed and that has front and rear seats and two or four doors"],["a closed litter for one passenger"]],["saloon","sedan chair"]]],
+  seedy: [["adjective",[["full of seeds","as seedy as a fig"],["shabby and untidy","a surge of ragged scruffy children"],["somewhat ill or prone to illness","my poor ailing grandmother"]],["scruffy","ailing","indisposed","peaked","poorly"]]],
+  segue: [["noun",[["the act of changing smoothly from one state or situation to another"]],[]],["verb",[["proceed without interruption; in music or talk","He segued into another discourse"]],[]]],
+  seize: [["verb",[["take hold of; grab","The sales clerk quickly seized the money on the counter"],["take or capture by force","The terrorists seized the politicians"],["take possession of by force, as after an invasion","the invaders seized the land and property of the inhabitants"]],["prehend","clutch","appropriate","capture","conquer"]]],
+  semen: [["noun",[["the thick white fluid containing spermatozoa that is ejaculated by the male genital tract"]],["seed","seminal fluid","ejaculate","cum","come"]]],
+  sense: [["noun",[["a general conscious awareness","a sense of security"],["the meaning of a word or expression; the way in which a word or expression or situation can be interpreted","the dictionary gave several senses for the word"],["the faculty through which the external world is apprehended","in the dark he had to depend on touch and on his senses of smell and hearing"]],["signified","sensation","sentience","sentiency","sensory faculty"]],["verb",[["perceive by a physical sensation, e.g., coming from the skin or muscles","He felt the wind"],["detect some circumstance or entity automatically","This robot can sense the presence of people in the room"],["become aware of not through the senses but instinctively","I sense his hostility"]],["feel","smell","smell out"]]],
+  sepia: [["noun",[["a shade of brown with a tinge of red"],["rich brown pigment prepared from the ink of cuttlefishes"],["type genus of the Sepiidae"]],["reddish brown","burnt sienna","mahogany"]]],
+  serif: [["noun",[["a short line at the end of the main strokes of a character"]],["seriph"]]],
+  serum: [["noun",[["an amber, watery fluid, rich in proteins, that separates out when blood coagulates"]],["blood serum"]]],
+  serve: [["verb",[["serve a purpose, role, or function","The tree stump serves as a table"],["do duty or hold offices; serve in a specific function","He served as head of the department for three years"],["contribute or conduce to","The scandal served to increase his popularity"]],["function"]],["noun",[["(sports) a stroke that puts the ball in play","his powerful serves won the game"]],["service"]]],
+  setup: [["noun",[["equipment designed to serve a specific function"],["the way something is organized or arranged","it takes time to learn the setup around here"],["an act that incriminates someone on a false charge"]],["apparatus","frame-up"]]],
+  seven: [["noun",[["the cardinal number that is the sum of six and one"],["one of four playing cards in a deck with seven pips on the face"]],["7","sevener","heptad","septet","septenary"]],["adjective",[["being one more than six"]],["7","vii"]]],
+  sever: [["verb",[["set or keep apart","sever a relationship"],["cut off from a whole","His head was severed from his body"]],["break up","discerp","lop"]]],
+  sewer: [["noun",[["a waste pipe that carries away sewage or surface water"],["someone who sews","a sewer of fine gowns"],["misfortune resulting in lost effort or money","his career was in the gutter"]],["sewerage","cloaca","gutter","toilet"]]],
+  shack: [["noun",[["small crude shelter used as a dwelling"]],["hovel","hut","hutch","shanty"]],["verb",[["make one's home in a particular place or community","may parents reside in Florida"],["move, proceed, or walk draggingly or slowly","John trailed behind his class mates"]],["reside","domicile","domiciliate","trail"]]],
+  shade: [["noun",[["relative darkness caused by light rays being intercepted by an opaque body","it is much cooler in the shade"],["a quality of a given color that differs slightly from another color","after several trials he mixed the shade of pink that she wanted"],["protective covering that protects something from direct sunlight","they used umbrellas as shades"]],["shadiness","shadowiness","tint","tincture","tone"]],["verb",[["cast a shadow over"],["represent the effect of shade or shadow on"],["protect from light, heat, or view","Shade your eyes when you step out into the bright sunlight"]],["shadow","shade off","fill in"]]],
+  shady: [["adjective",[["quiet, dark, or concealed","her shady past intrigued him"],["not as expected","there was something fishy about the accident"],["of questionable honesty or legality","He established a dummy company through which he laundered vast sums of cash from shady middlemen and arms dealers"]],["fishy","funny","suspect","suspicious"]]],
+  shaft: [["noun",[["a line that forms the length of an arrow pointer"],["an aggressive remark directed at a person like a missile and intended to have a telling effect","his parting shot was `drop dead'"],["a long rod or pole (especially the handle of an implement or the body of a weapon like a spear or arrow)"]],["shot","slam","dig","barb","jibe"]],["verb",[["equip with a shaft"],["defeat someone through trickery or deceit"]],["cheat","chouse","screw","chicane","jockey"]]],
+  shake: [["verb",[["move or cause to move back and forth","The chemist shook the flask vigorously"],["move with or as if with a tremor","his hands shook"],["shake or vibrate rapidly and intensively","The old engine was juddering"]],["agitate","didder","judder"]],["noun",[["building material used as siding or roofing"],["frothy drink of milk and flavoring and sometimes fruit or ice cream"],["a note that alternates rapidly with another note a semitone above it"]],["shingle","milkshake","milk shake","trill"]]],
+  shaky: [["adjective",[["inclined to shake as from weakness or defect","a rickety table"],["vibrating slightly and irregularly; as e.g. with fear or cold or like the leaves of an aspen in a breeze","a quaking bog"],["not secure; beset with difficulties","a shaky marriage"]],["rickety","wobbly","wonky","shivering","trembling"]]],
+  shale: [["noun",[["a sedimentary rock formed by the deposition of successive layers of clay"]],[]]],
+  shame: [["noun",[["a painful emotion resulting from an awareness of inadequacy or guilt"],["a state of dishonor","one mistake brought shame to all his family"],["an unfortunate development","it's a pity he couldn't do it"]],["disgrace","ignominy","pity"]],["verb",[["bring shame or dishonor upon","he dishonored his family by committing a serious crime"],["compel through a sense of shame","She shamed him into making amends"],["cause to be ashamed"]],["dishonor","disgrace","dishonour","attaint"]]],
+  shank: [["noun",[["a cut of meat (beef or veal or mutton or lamb) from the upper part of the leg"],["the part of the human leg between the knee and the ankle"],["cylinder forming a long narrow part of something"]],["stem"]],["verb",[["hit (a golf ball) with the heel of a club, causing the ball to veer in the wrong direction"]],[]]],
+  shape: [["noun",[["any spatial attributes (especially as defined by outline)","he could barely make out their shapes"],["the spatial arrangement of something as distinct from its substance","geometry is the mathematical science of shape"],["alternative names for the body of a human being","Leonardo studied the human body"]],["form","configuration","contour","conformation","human body"]],["verb",[["shape or influence; give direction to","experience often determines ability"],["make something, usually for a specific function","She molded the rice balls carefully"],["give shape or form to","shape the dough"]],["determine","mold","influence","regulate","form"]]],
+  shard: [["noun",[["a broken piece of a brittle artifact"]],["sherd","fragment"]]],
+  share: [["verb",[["have in common","Our children share a love of music"],["use jointly or in common"],["have, give, or receive a share of","We shared the cake"]],["partake","partake in"]],["noun",[["assets belonging to or due to or contributed by an individual person or group","he wanted his share in cash"],["any of the equal portions into which the capital stock of a corporation is divided and ownership of which is evidenced by a stock certificate","he bought 100 shares of IBM at the market price"],["the allotment of some amount by dividing something","death gets more than its share of attention from theologians"]],["portion","part","percentage","parcel"]]],
+  shark: [["noun",[["any of numerous elongate mostly marine carnivorous fishes with heterocercal caudal fins and tough skin covered with small toothlike scales"],["a person who is ruthless and greedy and dishonest"],["a person who is unusually skilled in certain ways","a card shark"]],[]],["verb",[["play the shark; act with trickery"],["hunt shark"]],[]]],
+  sharp: [["adjective",[["(of something seen or heard) clearly defined","a sharp photographic image"],["ending in a sharp point"],["having or demonstrating ability to recognize or draw fine distinctions","an acute observer of politics and politicians"]],["crisp","acuate","acute","needlelike","discriminating"]],["adverb",[["changing suddenly in direction and degree","the road twists sharply after the light"]],["sharply","acutely"]],["noun",[["a musical notation indicating one half step higher than the note named"],["a long thin sewing needle with a sharp point"]],[]]],
+  shave: [["verb",[["remove body hair with a razor"],["cut closely","trim my beard"],["cut the price of"]],["trim","knock off"]],["noun",[["the act of removing hair with a razor"]],["shaving"]]],
+  shawl: [["noun",[["cloak consisting of an oblong piece of cloth used to cover the head and shoulders"]],[]]],
+  shear: [["noun",[["(physics) a deformation of an object in which parallel planes remain parallel but are shifted in a direction parallel to themselves","the shear changed the quadrilateral into a parallelogram"],["a large edge tool that cuts sheet metal by passing a blade through it"]],[]],["verb",[["cut with shears","shear hedges"],["shear the wool from","shear sheep"],["cut or cut through with shears","shear the wool off the lamb"]],["fleece"]]],
+  sheen: [["noun",[["the visual property of something that shines with reflected light"]],["shininess","luster","lustre"]]],
+  sheep: [["noun",[["woolly usually horned ruminant mammal related to the goat"],["a timid defenseless simpleton who is readily preyed upon"],["a docile and vulnerable person who would rather follow than make an independent decision","his students followed him like sheep"]],[]]],
+  sheer: [["adjective",[["complete and without restriction or qualification; sometimes used informally as intensifiers","absolute freedom"],["not mixed with extraneous elements","plain water"],["very steep; having a prominent and almost vertical front","a bluff headland"]],["absolute","downright","out-and-out","rank","right-down"]],["verb",[["turn sharply; change direction abruptly","The car cut to the left at the intersection"],["cause to sheer","She sheered her car around the obstacle"]],["swerve","curve","trend","veer","slue"]],["adverb",[["straight up or down without a break"],["directly","he fell sheer into the water"]],["perpendicularly"]]],
+  sheet: [["noun",[["any broad thin expanse or surface","a sheet of ice"],["paper used for writing or printing"],["bed linen consisting of a large rectangular piece of cotton or linen cloth; used in pairs"]],["piece of paper","sheet of paper","bed sheet"]],["verb",[["come down as if in sheets","The rain was sheeting down during the monsoon"],["cover with a sheet, as if by wrapping","sheet the body"]],[]]],
+  sheik: [["noun",[["the leader of an Arab village or family"],["a man who is much concerned with his dress and appearance"]],["tribal sheik","sheikh","tribal sheikh","dandy","dude"]]],
+  shelf: [["noun",[["a support that consists of a horizontal surface for holding objects"],["a projecting ridge on a mountain or submerged under water"]],["ledge"]]],
+  shell: [["noun",[["ammunition consisting of a cylindrical metal casing containing an explosive charge and a projectile; fired from a large gun"],["the material that forms the hard outer covering of many animals"],["hard outer covering or case of certain organisms such as arthropods and turtles"]],["carapace","cuticle","shield"]],["verb",[["use explosives on","The enemy has been shelling us all day"],["create by using explosives","blast a passage through the mountain"],["fall out of the pod or husk","The corn shelled"]],["blast"]]],
+  shift: [["verb",[["make a shift in or exchange of","First Joe led; then we switched"],["change place or direction","Shift one's position"],["move around","transfer the packet from his trouser pockets to a pocket in his jacket"]],["switch","change over","dislodge","reposition","transfer"]],["noun",[["an event in which something is displaced without rotation"],["a qualitative change"],["the time period during which you are at work"]],["displacement","transformation","transmutation","work shift","duty period"]]],
+  shine: [["verb",[["be bright by reflecting or casting light","Drive carefully--the wet road reflects"],["emit light; be bright, as of the sun or a light","The sun shone bright that day"],["be shiny, as if wet","His eyes were glistening"]],["reflect","beam","glitter","glisten","glint"]],["noun",[["the quality of being bright and sending out rays of light"]],["radiance","radiancy","effulgence","refulgence","refulgency"]]],
+  shiny: [["adjective",[["reflecting light","glistening bodies of swimmers"],["having a shiny surface or coating","glazed fabrics"],["made smooth and bright by or as if by rubbing; reflecting a sheen or glow","bright silver candlesticks"]],["glistening","glossy","lustrous","sheeny","shining"]]],
+  shire: [["noun",[["a former administrative district of England; equivalent to a county"],["British breed of large heavy draft horse"]],["shire horse"]]],
+  shirk: [["verb",[["avoid (one's assigned duties)","The derelict soldier shirked his duties"],["avoid dealing with","She shirks her duties"]],["fiddle","shrink from","goldbrick"]]],
+  shirt: [["noun",[["a garment worn on the upper half of the body"]],[]],["verb",[["put a shirt on"]],[]]],
+  shoal: [["noun",[["a sandbank in a stretch of water that is visible at low tide"],["a stretch of shallow water"],["a large group of fish","a school of small glittering fish swam by"]],["shallow","school"]],["verb",[["make shallow","The silt shallowed the canal"],["become shallow","the lake shallowed over time"]],["shallow"]]],
+  shock: [["noun",[["the feeling of distress and disbelief that you have when something bad happens accidentally","his mother's death left him in a daze"],["the violent interaction of individuals or groups entering into combat","the armies met in the shock of battle"],["a reflex response to the passage of electric current through the body","subjects received a small electric shock when they made the wrong response"]],["daze","stupor","impact","electric shock","electrical shock"]],["verb",[["surprise greatly; knock someone's socks off","I was floored when I heard that I was promoted"],["strike with disgust or revulsion","The scandalous behavior of this married woman shocked her friends"],["strike with horror or terror","The news of the bombing shocked her"]],["floor","ball over","blow out of the water","take aback","offend"]]],
+  shook: [["noun",[["a disassembled barrel; the parts packed for storage or shipment"]],[]]],
+  shoot: [["verb",[["hit with a missile from a weapon"],["kill by firing a missile"],["fire a shot","the gunman blasted away"]],["hit","pip","blast"]],["noun",[["a new branch"],["the act of shooting at targets","they hold a shoot every weekend during the summer"]],[]]],
+  shore: [["noun",[["the land along the edge of a body of water"],["a beam or timber that is propped against a structure to provide support"]],["shoring"]],["verb",[["serve as a shore to","The river was shored by trees"],["arrive on shore","The ship landed in Pearl Harbor"],["support by placing against something solid or rigid","shore and buttress an old building"]],["land","set ashore","prop up","prop","shore up"]]],
+  shorn: [["adjective",[["having the hair or wool cut or clipped off as if with shears or clippers","picked up the baby's shorn curls from the floor"]],["sheared"]]],
+  short: [["adjective",[["primarily temporal sense; indicating or being or seeming to be limited in duration","a short life"],["(primarily spatial sense) having little length or lacking in length","short skirts"],["low in stature; not tall","he was short and stocky"]],["little"]],["noun",[["the location on a baseball field where the shortstop is stationed"],["accidental contact between two points in an electric circuit that have a potential difference"],["the fielding position of the player on a baseball team who is stationed between second and third base"]],["short circuit","shortstop"]],["adverb",[["quickly and without warning","he stopped suddenly"],["without possessing something at the time it is contractually sold","he made his fortune by selling short just before the crash"],["clean across","the car's axle snapped short"]],["abruptly","suddenly","dead"]],["verb",[["cheat someone by not returning him enough money"],["create a short circuit in"]],["short-change","short-circuit"]]],
+  shout: [["verb",[["utter in a loud voice; talk in a loud voice (usually denoting characteristic manner of speaking)","My grandmother is hard of hearing--you'll have to shout"],["utter a sudden loud cry","she cried with pain when the doctor inserted the needle"],["utter aloud; often with surprise, horror, or joy","`I won!' he exclaimed"]],["shout out","cry","call","yell","scream"]],["noun",[["a loud utterance; often in protest or opposition","the speaker was interrupted by loud cries from the rear of the audience"]],["cry","outcry","call","yell","vociferation"]]],
+  shove: [["verb",[["come into rough contact with while moving","The passengers jostled each other in the overcrowded train"],["push roughly","the people pushed and shoved to get in line"],["press or force","Stuff money into an envelope"]],["jostle","thrust","stuff","squeeze"]],["noun",[["the act of shoving (giving a push to someone or something)","he gave the door a shove"]],[]]],
+  showy: [["adjective",[["marked by ostentation but often tasteless","a cheap showy rhinestone bracelet"],["displaying brilliance and virtuosity"],["(used especially of clothes) marked by conspicuous display"]],["flamboyant","splashy","flashy","gaudy","jazzy"]]],
+  shrew: [["noun",[["a scolding nagging bad-tempered woman"],["small mouselike mammal with a long snout; related to moles"]],["termagant","shrewmouse"]]],
+  shrub: [["noun",[["a low woody perennial plant usually having several major stems"]],["bush"]]],
+  shrug: [["noun",[["a gesture involving the shoulders"]],[]],["verb",[["raise one's shoulders to indicate indifference or resignation"]],[]]],
+  shuck: [["noun",[["material consisting of seed coverings and small pieces of stem or leaves that have been separated from the seeds"]],["chaff","husk","stalk","straw","stubble"]],["verb",[["remove from the shell","shuck oysters"],["remove the shucks from","shuck corn"]],[]]],
+  shunt: [["noun",[["a passage by which a bodily fluid (especially blood) is diverted from one channel to another","an arteriovenus shunt"],["a conductor having low resistance in parallel with another device to divert a fraction of the current"],["implant consisting of a tube made of plastic or rubber; for draining fluids within the body"]],["electrical shunt","bypass"]],["verb",[["transfer to another track, of trains"],["provide with or divert by means of an electrical shunt"]],[]]],
+  shush: [["verb",[["silence (someone) by uttering `shush!'"]],[]]],
+  shyly: [["adverb",[["in a shy or timid or bashful manner","he smiled shyly"]],["timidly","bashfully"]]],
+  siege: [["noun",[["the action of an armed force that surrounds a fortified place and isolates it while continuing to attack"]],["besieging","beleaguering","military blockade"]]],
+  sieve: [["noun",[["a strainer for separating lumps from powdered material or grading particles"]],["screen"]],["verb",[["examine in order to test suitability","screen these samples"],["check and sort carefully","sift the information"],["separate by passing through a sieve or other straining device to separate out coarser elements","sift the flour"]],["screen","screen out","sort","sift","strain"]]],
+  sight: [["noun",[["an instance of visual perception","the sight of his wife brought him back to reality"],["anything that is seen","he was a familiar sight on the television"],["the ability to see; the visual faculty"]],["vision","visual sense","visual modality"]],["verb",[["catch sight of; to perceive with the eyes","he caught sight of the king's men coming over the ridge"],["take aim by looking through the sights of a gun (or other device)"]],["spy"]]],
+  sigma: [["noun",[["the 18th letter of the Greek alphabet"]],[]]],
+  silky: [["adjective",[["having a smooth, gleaming surface reflecting light","glossy auburn hair"]],["satiny","sleek","silken","silklike","slick"]]],
+  silly: [["adjective",[["ludicrous, foolish","wore a goofy hat"],["lacking seriousness; given to frivolity","a dizzy blonde"],["inspiring scornful pity","how silly an ardent and unsuccessful wooer can be especially if he is getting on in years"]],["goofy","wacky","whacky","zany","airheaded"]],["noun",[["a word used for misbehaving children","don't be a silly"]],[]]],
+  sinew: [["noun",[["a cord or band of inelastic tissue connecting a muscle with its bony attachment"],["possessing muscular strength"]],["tendon","brawn","brawniness","muscle","muscularity"]]],
+  singe: [["verb",[["burn superficially or lightly","I singed my eyebrows"],["become superficially burned","my eyebrows singed when I bent over the flames"]],["swinge","scorch","sear"]],["noun",[["a surface burn"]],["scorch"]]],
+  siren: [["noun",[["a woman who is considered to be dangerously seductive"],["a warning signal that is a loud wailing sound"],["an acoustic device producing a loud often wailing sound as a signal or warning"]],["enchantress","temptress","femme fatale"]]],
+  sissy: [["noun",[["a timid man or boy considered childish or unassertive"]],["pantywaist","pansy","milksop"]],["adjective",[["having unsuitable feminine qualities"]],["effeminate","emasculate","epicene","cissy","sissified"]]],
+  sixth: [["adjective",[["coming next after the fifth and just before the seventh in position"]],["6th"]],["noun",[["position six in a countable series of things"],["one part in six equal parts"],["the musical interval between one note and another six notes away from it"]],["one-sixth"]]],
+  sixty: [["adjective",[["being ten more than fifty"]],["60","lx","threescore"]],["noun",[["the cardinal number that is the product of ten and six"]],["60"]]],
+  skate: [["noun",[["sports equipment that is worn on the feet to enable the wearer to glide along and to be propelled by the alternate actions of the legs"],["large edible rays having a long snout and thick tail with pectoral fins continuous with the head; swim by undulating the edges of the pectoral fins"]],[]],["verb",[["move along on skates","The Dutch often skate along the canals in winter"]],[]]],
+  skier: [["noun",[["someone who skis"]],[]]],
+  skiff: [["noun",[["any of various small boats propelled by oars or by sails or by a motor"]],[]]],
+  skill: [["noun",[["an ability that has been acquired by training"],["ability to produce solutions in some problem domain","the skill of a well-trained boxer"]],["accomplishment","acquirement","acquisition","attainment","science"]]],
+  skimp: [["verb",[["work hastily or carelessly; deal with inadequately and superficially"],["limit in quality or quantity"],["subsist on a meager allowance","scratch and scrimp"]],["scant","scrimp","stint"]]],
+  skirt: [["noun",[["cloth covering that forms the part of a garment below the waist"],["a garment hanging from the waist; worn mainly by girls and women"],["(Fungi) a remnant of the partial veil that in mature mushrooms surrounds the stem like a collar"]],["annulus"]],["verb",[["avoid or try to avoid fulfilling, answering, or performing (duties, questions, or issues)","He dodged the issue"],["pass around or about; move along the border","The boat skirted the coast"],["form the edge of"]],["hedge","fudge","evade","put off","circumvent"]]],
+  skulk: [["verb",[["lie in wait, lie in ambush, behave in a sneaky and secretive manner"],["avoid responsibilities and duties, e.g., by pretending to be ill"],["move stealthily","The lonely man skulks down the main street all day"]],["lurk","malinger"]]],
+  skull: [["noun",[["the bony skeleton of the head of vertebrates"]],[]]],
+  skunk: [["noun",[["a person who is deemed to be despicable or contemptible","only a rotter would do that"],["a defeat in a game where one side fails to score"],["street names for marijuana"]],["rotter","dirty dog","rat","stinker","stinkpot"]],["verb",[["defeat by a lurch"]],["lurch"]]],
+  slack: [["adjective",[["not tense or taut","the old man's skin hung loose and grey"],["flowing with little speed as e.g. at the turning of the tide","slack water"],["lacking in rigor or strictness","such lax and slipshod ways are no longer acceptable"]],["loose","lax"]],["noun",[["dust consisting of a mixture of small coal fragments and coal dust and dirt that sifts out when coal is passed over a sieve"],["a noticeable deterioration in performance or quality","the team went into a slump"],["a stretch of water without current or movement","suddenly they were in a slack and the water was motionless"]],["slump","drop-off","falloff","falling off","slack water"]],["verb",[["avoid responsibilities and work, be idle"],["be inattentive to, or neglect","He slacks his attention"],["release tension on","slack the rope"]],[]]],
+  slain: [["noun",[["people who have been slain (as in battle)"]],[]],["adjective",[["killed; `slain' is formal or literary as in \"slain warriors\"","a picture of St. George and the slain dragon"]],[]]],
+  slang: [["noun",[["informal language consisting of words and expressions that are not considered appropriate for formal occasions; often vituperative or vulgar","their speech was full of slang expressions"],["a characteristic language of a particular group (as among thieves)","they don't speak our lingo"]],["slang expression","slang term","cant","jargon","lingo"]],["verb",[["use slang or vulgar language"],["fool or hoax","The immigrant was duped because he trusted everyone"],["abuse with coarse language"]],["gull","dupe","befool","cod","fool"]]],
+  slant: [["noun",[["a biased way of looking at or presenting something"],["degree of deviation from a horizontal plane","the roof had a steep pitch"]],["angle","pitch","rake"]],["verb",[["lie obliquely","A scar slanted across his face"],["present with a bias","He biased his presentation so as to please the share holders"],["to incline or bend from a vertical position","She leaned over the banister"]],["angle","weight","lean","tilt","tip"]]],
+  slash: [["verb",[["cut with sweeping strokes; as with an ax or machete"],["beat severely with a whip or rod","The teacher often flogged the students"],["cut open","she slashed her wrists"]],["cut down","flog","welt","whip","lather"]],["noun",[["a wound made by cutting","he put a bandage over the cut"],["an open tract of land in a forest that is strewn with debris from logging (or fire or wind)"],["a punctuation mark (/) used to separate related items of information"]],["cut","gash","slice","solidus","virgule"]]],
+  slate: [["noun",[["(formerly) a writing tablet made of slate"],["thin layers of rock used for roofing"],["a fine-grained metamorphic rock that can be split into thin layers"]],["slating"]],["verb",[["designate or schedule","He slated his talk for 9 AM"],["enter on a list or slate for an election","He was slated for borough president"],["cover with slate","slate the roof"]],[]]],
+  slave: [["noun",[["a person who is owned by someone"],["someone who works as hard as a slave"],["someone entirely dominated by some influence or person","a slave to fashion"]],["striver","hard worker"]],["verb",[["work very hard, like a slave"]],["break one's back","buckle down","knuckle down"]]],
+  sleek: [["verb",[["make slick or smooth"]],["slick"]],["adjective",[["well-groomed and neatly tailored; especially too well-groomed","sleek figures in expensive clothes"],["designed or arranged to offer the least resistant to fluid flow","a streamlined convertible"],["having a smooth, gleaming surface reflecting light","glossy auburn hair"]],["streamlined","aerodynamic","flowing","satiny","silken"]]],
+  sleep: [["noun",[["a natural and periodic state of rest during which consciousness of the world is suspended","he didn't get enough sleep last night"],["a torpid state resembling deep sleep"],["a period of time spent sleeping","he felt better after a little sleep"]],["slumber","sopor","nap"]],["verb",[["be asleep"],["be able to accommodate for sleeping","This tent sleeps six people"]],["kip","slumber"]]],
+  sleet: [["noun",[["partially melted snow (or a mixture of rain and snow)"]],[]],["verb",[["precipitate as a mixture of rain and snow","If the temperature rises above freezing, it will probably sleet"]],[]]],
+  slice: [["noun",[["a share of something","a slice of the company's revenue"],["a serving that has been cut from a larger portion","a piece of pie"],["a wound made by cutting","he put a bandage over the cut"]],["piece","cut","gash","slash"]],["verb",[["make a clean cut through","slit her throat"],["hit a ball and put a spin on it so that it travels in a different direction"],["cut into slices","Slice the salami, please"]],["slit","slice up"]]],
+  slick: [["noun",[["a slippery smoothness","he could feel the slickness of the tiller"],["a magazine printed on good quality paper"],["a film of oil or garbage floating on top of water"]],["slickness","slipperiness","slip","slick magazine","glossy"]],["verb",[["make slick or smooth"],["give a smooth and glossy appearance","slick one's hair"]],["sleek","slick down","sleek down"]],["adjective",[["made slick by e.g. ice or grease","sidewalks slick with ice"],["superficially impressive, but lacking depth and attention to the true complexities of a subject","too facile a solution for so complex a problem"],["having only superficial plausibility","glib promises"]],["facile","neat","glib","pat"]]],
+  slide: [["noun",[["a small flat rectangular piece of glass on which specimens can be mounted for microscopic study"],["(geology) the descent of a large mass of earth or rocks or snow etc."],["(music) rapid sliding up or down the musical scale","the violinist was indulgent with his swoops and slides"]],["microscope slide","swoop"]],["verb",[["move obliquely or sideways, usually in an uncontrolled manner","the wheels skidded against the sidewalk"],["to pass or move unobtrusively or smoothly","They slid through the wicket in the big gate"],["move smoothly along a surface","He slid the money over to the other gambler"]],["skid","slip","slue","slew","slither"]]],
+  slime: [["verb",[["cover or stain with slime","The snake slimed his victim"]],[]],["noun",[["any thick, viscous matter"]],["sludge","goo","goop","gook","guck"]]],
+  slimy: [["adjective",[["covered with or resembling slime","a slimy substance covered the rocks"],["morally reprehensible","would do something as despicable as murder"]],["slimed","despicable","ugly","vile","unworthy"]]],
+  sling: [["verb",[["hurl as if with a sling"],["hang loosely or freely; let swing"],["move with a sling","sling the cargo onto the ship"]],["catapult"]],["noun",[["a highball with liquor and water with sugar and lemon or lime juice"],["a plaything consisting of a Y-shaped stick with elastic between the arms; used to propel small stones"],["a shoe that has a strap that wraps around the heel"]],["slingshot","catapult","slingback"]]],
+  slink: [["verb",[["walk stealthily","I saw a cougar slinking toward its prey"]],[]]],
+  sloop: [["noun",[["a sailing vessel with a single mast set about one third of the boat's length aft of the bow"]],[]]],
+  slope: [["noun",[["an elevated geological formation","he climbed the steep slope"],["the property possessed by a line or surface that departs from the horizontal","a five-degree gradient"]],["incline","side","gradient"]],["verb",[["be at an angle","The terrain sloped down"]],["incline","pitch"]]],
+  slosh: [["verb",[["make a splashing sound","water was splashing on the floor"],["walk through mud or mire","We had to splosh across the wet meadow"],["spill or splash copiously or clumsily","slosh paint all over the walls"]],["splash","splosh","slush","squelch","squish"]]],
+  sloth: [["noun",[["a disinclination to work or exert yourself"],["any of several slow-moving arboreal mammals of South America and Central America; they hang from branches back downward and feed on leaves and fruits"],["apathy and inactivity in the practice of virtue (personified as one of the deadly sins)"]],["slothfulness","tree sloth","laziness","acedia"]]],
+  slump: [["verb",[["assume a drooping posture or carriage"],["fall or sink heavily","He slumped onto the couch"],["fall heavily or suddenly; decline markedly","The real estate market fell off"]],["slouch","slide down","sink","fall off"]],["noun",[["a noticeable deterioration in performance or quality","the team went into a slump"],["a long-term economic state characterized by unemployment and low prices and low levels of trade and investment"]],["slack","drop-off","falloff","falling off","depression"]]],
+  slurp: [["verb",[["eat noisily","He slurped his soup"]],[]]],
+  slush: [["noun",[["partially melted snow"]],[]],["verb",[["make a splashing sound","water was splashing on the floor"],["spill or splash copiously or clumsily","slosh paint all over the walls"]],["splash","splosh","slosh","slosh around","slush around"]]],
+  slyly: [["adverb",[["in an artful manner","he craftily arranged to be there when the decision was announced"]],["craftily","cunningly","foxily","knavishly","trickily"]]],
+  smack: [["verb",[["deliver a hard blow to","The teacher smacked the student who had misbehaved"],["have an element suggestive (of something)","his speeches smacked of racism"],["have a distinctive or characteristic taste","This tastes of nutmeg"]],["thwack","reek","smell","taste"]],["noun",[["a blow from a flat object (as an open hand)"],["the taste experience when a savoury condiment is taken into the mouth"],["a sailing ship (usually rigged like a sloop or cutter) used in fishing and sailing along the coast"]],["slap","relish","flavor","flavour","sapidity"]],["adverb",[["directly","he ran bang into the pole"]],["bang","slap","slapdash","bolt"]]],
+  small: [["adjective",[["limited or below average in number or quantity or magnitude or extent","a little dining room"],["relatively moderate, limited, or small","a small business"],["(of children and animals) young, immature","what a big little boy you are"]],["little","minor","modest","small-scale","pocket-size"]],["noun",[["the slender part of the back"],["a garment size for a small person"]],[]],["adverb",[["on a small scale","think small"]],[]]],
+  smart: [["adjective",[["showing mental alertness and calculation and resourcefulness"],["elegant and stylish","chic elegance"],["characterized by quickness and ease in learning","some children are brighter in one subject than another"]],["chic","voguish","bright"]],["verb",[["be the source of pain"]],["ache","hurt"]],["noun",[["a kind of pain such as that caused by a wound or a burn or a sore"]],["smarting","smartness"]]],
+  smash: [["verb",[["hit hard","He smashed a 3-run homer"],["break into pieces, as by striking or knocking over","Smash a plate"],["reduce to bankruptcy","My daughter's fancy wedding is going to break me!"]],["nail","boom","blast","dash","bankrupt"]],["noun",[["a vigorous blow","the sudden knock floored him"],["a serious collision (especially of motor vehicles)"],["a hard return hitting the tennis ball above your head"]],["knock","bash","bang","belt","smash-up"]],["adverb",[["with a loud crash","the car went smash through the fence"]],["smashingly"]]],
+  smear: [["noun",[["slanderous defamation"],["a thin tissue or blood sample spread on a glass slide and stained for cytologic examination and diagnosis under a microscope"],["a blemish made by dirt","he had a smudge on his cheek"]],["vilification","malignment","cytologic smear","cytosmear","smudge"]],["verb",[["stain by smearing or daubing with a dirty substance"],["make a smudge on; soil by smudging"],["cover (a surface) by smearing (a substance) over it","smear the wall with paint"]],["blur","smudge","smutch","daub"]]],
+  smell: [["noun",[["the sensation that results when olfactory receptors in the nose are stimulated by particular chemicals in gaseous form","she loved the smell of roses"],["any property detected by the olfactory system"],["the general atmosphere of a place or situation and the effect that it has on people","the feel of the city excited him"]],["odor","odour","olfactory sensation","olfactory perception","olfactory property"]],["verb",[["inhale the odor of; perceive by the olfactory sense"],["emit an odor","The soup smells good"],["smell bad","He rarely washes, and he smells"]],[]]],
+  smelt: [["noun",[["small cold-water silvery fish; migrate between salt and fresh water"],["small trout-like silvery marine or freshwater food fishes of cold northern waters"]],[]],["verb",[["extract (metals) by heating"]],[]]],
+  smile: [["noun",[["a facial expression characterized by turning up the corners of the mouth; usually shows pleasure or amusement"]],["smiling","grin","grinning"]],["verb",[["change one's facial expression by spreading the lips, often to signal pleasure"],["express with a smile","She smiled her thanks"]],[]]],
+  smirk: [["verb",[["smile affectedly or derisively"]],["simper"]],["noun",[["a smile expressing smugness or scorn instead of pleasure"]],[]]],
+  smite: [["verb",[["inflict a heavy blow on, with the hand, a tool, or a weapon"],["affect suddenly with deep feeling","He was smitten with love for this young girl"],["cause physical pain or suffering in","afflict with the plague"]],["afflict"]]],
+  smith: [["noun",[["someone who works at something specified"],["someone who works metal (especially by hammering it when it is hot and malleable)"],["Rhodesian statesman who declared independence of Zimbabwe from Great Britain (born in 1919)"]],["metalworker"]]],
+  smock: [["noun",[["a loose coverall (coat or frock) reaching down to the ankles"]],["duster","gaberdine","gabardine","dust coat"]],["verb",[["embellish by sewing in straight lines crossing each other diagonally","The folk dancers wore smocked shirts"]],[]]],
+  smoke: [["noun",[["a cloud of fine particles suspended in a gas"],["a hot vapor containing fine particles of carbon being produced by combustion","the fire produced a tower of black smoke that could be seen for miles"],["an indication of some hidden activity","with all that smoke there must be a fire somewhere"]],["fume","smoking"]],["verb",[["inhale and exhale smoke from cigarettes, cigars, pipes","We never smoked marijuana"],["emit a cloud of fine particles","The chimney was fuming"]],["fume"]]],
+  smoky: [["adjective",[["marked by or emitting or filled with smoke","smoky rafters"],["tasting of smoke","smoky sausages"]],[]]],
+  snack: [["noun",[["a light informal meal"]],["bite","collation"]],["verb",[["eat a snack; eat lightly","She never loses weight because she snacks between meals"]],["nosh"]]],
+  snail: [["noun",[["freshwater or marine or terrestrial gastropod mollusk usually having an external enclosing spiral shell"],["edible terrestrial snail usually served in the shell with a sauce of melted butter and garlic"]],["escargot"]],["verb",[["gather snails","We went snailing in the summer"]],[]]],
+  snake: [["noun",[["limbless scaly elongate reptile; some are venomous"],["a deceitful or treacherous person"],["something long, thin, and flexible that resembles a snake"]],["serpent","ophidian","snake in the grass"]],["verb",[["move smoothly and sinuously, like a snake"],["form a snake-like pattern","The river snakes through the valley"],["move along a winding path","The army snaked through the jungle"]],[]]],
+  snaky: [["adjective",[["resembling a serpent in form","a serpentine wall"]],["serpentine","snakelike"]]],
+  snare: [["noun",[["something (often something deceptively attractive) that catches you unawares","the exam was full of trap questions"],["a small drum with two heads and a snare stretched across the lower head"],["a surgical instrument consisting of wire hoop that can be drawn tight around the base of polyps or small tumors to sever them; used especially in body cavities"]],["trap","snare drum","side drum"]],["verb",[["catch in or as if in a trap","The men trap foxes"],["entice and trap","The car salesman had snared three potential customers"]],["trap","entrap","ensnare","trammel","hook"]]],
+  snarl: [["noun",[["a vicious angry growl"],["an angry vicious expression"],["something jumbled or confused","a tangle of government regulations"]],["tangle","maze"]],["verb",[["utter in an angry, sharp, or abrupt tone","The sales clerk snapped a reply at the angry customer"],["make a snarling noise or move with a snarling noise","Bullets snarled past us"],["twist together or entwine into a confusing mass","The child entangled the cord"]],["snap","entangle","tangle","mat"]]],
+  sneak: [["verb",[["to go stealthily or furtively","..stead of sneaking around spying on the neighbor's house"],["put, bring, or take in a secretive or furtive manner","sneak a look"],["make off with belongings of others"]],["mouse","creep","pussyfoot","pilfer","cabbage"]],["noun",[["a person who is regarded as underhanded and furtive and contemptible"],["someone who prowls or sneaks about; usually with unlawful intentions"],["someone acting as an informer or decoy for the police"]],["prowler","stalker","fink","snitch","snitcher"]],["adjective",[["marked by quiet and caution and secrecy; taking pains to avoid being observed","a furtive manner"]],["furtive","sneaky","stealthy","surreptitious"]]],
+  sneer: [["verb",[["express through a scornful smile","she sneered her contempt"],["smile contemptuously","she sneered at her little sister's efforts to play the song on the piano"]],[]],["noun",[["a facial expression of contempt or scorn; the upper lip curls"],["a contemptuous or scornful remark"]],["leer"]]],
+  snide: [["adjective",[["expressive of contempt","curled his lip in a supercilious smile"]],["supercilious","sneering"]]],
+  sniff: [["verb",[["perceive by inhaling through the nose","sniff the perfume"],["inhale audibly through the nose","the sick student was sniffling in the back row"]],["whiff","sniffle"]],["noun",[["sensing an odor by inhaling through the nose"]],["snuff"]]],
+  snipe: [["noun",[["Old or New World straight-billed game bird of the sandpiper family; of marshy areas; similar to the woodcocks"],["a gunshot from a concealed location"]],[]],["verb",[["hunt or shoot snipe"],["aim and shoot with great precision"],["attack in speech or writing","The editors of the left-leaning paper attacked the new House Speaker"]],["sharpshoot","attack","round","assail","lash out"]]],
+  snoop: [["verb",[["watch, observe, or inquire secretly"]],["spy","stag","sleuth"]],["noun",[["a spy who makes uninvited inquiries into the private affairs of others"]],["snooper"]]],
+  snore: [["verb",[["breathe noisily during one's sleep","she complained that her husband snores"]],["saw wood","saw logs"]],["noun",[["the rattling noise produced when snoring"],["the act of snoring or producing a snoring sound"]],["snoring","stertor"]]],
+  snort: [["verb",[["indicate contempt by breathing noisily and forcefully through the nose","she snorted her disapproval of the proposed bridegroom"],["make a snorting sound by exhaling hard","The critic snorted contemptuously"],["inhale recreational drugs","The addict was snorting cocaine almost every day"]],["huff"]],["noun",[["a disrespectful laugh"],["a cry or noise made to express displeasure or contempt"]],["snicker","snigger","boo","hoot","hiss"]]],
+  snout: [["noun",[["a long projecting or anterior elongation of an animal's head; especially the nose"],["informal terms for the nose"],["beaklike projection of the anterior part of the head of certain insects such as e.g. weevils"]],["neb","beak","honker","hooter","nozzle"]]],
+  snowy: [["adjective",[["marked by the presence of snow","a white Christmas"],["covered with snow","snow-clad hills"],["of the white color of snow"]],["white","snow-clad","snow-covered","snow-white"]]],
+  snuff: [["noun",[["the charred portion of a candlewick"],["a pinch of smokeless tobacco inhaled at a single time"],["finely powdered tobacco for sniffing up the nose"]],[]],["verb",[["sniff or smell inquiringly"],["inhale (something) through the nose","snuff coke"]],["snuffle"]],["adjective",[["snuff colored; of a greyish to yellowish brown"]],["snuff-brown","mummy-brown","chukker-brown"]]],
+  soapy: [["adjective",[["resembling or having the qualities of soap","a soapy consistency"],["unpleasantly and excessively suave or ingratiating in manner or speech","buttery praise"]],["saponaceous","buttery","fulsome","oily","oleaginous"]]],
+  sober: [["adjective",[["not affected by a chemical substance (especially alcohol)"],["dignified and somber in manner or character and committed to keeping promises","a grave God-fearing man"],["lacking brightness or color; dull","drab faded curtains"]],["grave","sedate","solemn","drab","somber"]],["verb",[["cause to become sober","A sobering thought"],["become more realistic","After thinking about the potential consequences of his plan, he sobered up"],["become sober after excessive alcohol consumption","Keep him in bed until he sobers up"]],["sober up"]]],
+  soggy: [["adjective",[["(of soil) soft and watery","the ground was boggy under foot"],["having the consistency of dough because of insufficient leavening or improper cooking","the cake fell; it's a doughy mess"],["slow and apathetic","she was fat and inert"]],["boggy","marshy","miry","mucky","muddy"]]],
+  solar: [["adjective",[["relating to or derived from the sun or utilizing the energies of the sun","solar eclipse"]],[]]],
+  solid: [["adjective",[["characterized by good substantial quality","solid comfort"],["of definite shape and volume; firm; neither liquid nor gaseous","ice is water in the solid state"],["entirely of one substance with no holes inside","a solid block of wood"]],[]],["noun",[["matter that is solid at room temperature and pressure"],["the state in which a substance has no tendency to flow under moderate stress; resists forces (such as compression) that tend to deform it; and retains a definite size and shape"],["a three-dimensional shape"]],["solidness","solid state"]]],
+  solve: [["verb",[["find the solution to (a problem or question) or understand the meaning of","did you solve the problem?"],["find the solution","solve an equation"],["settle, as of a debt","clear a debt"]],["work out","figure out","puzzle out","lick","work"]]],
+  sonar: [["noun",[["a measuring instrument that sends out an acoustic pulse in water and measures distances in terms of the time for the echo of the pulse to return","sonar is an acronym for sound navigation ranging"]],["echo sounder","asdic"]]],
+  sonic: [["adjective",[["(of speed) having or caused by speed approximately equal to that of sound in air at sea level","a sonic boom"],["relating to audible sound","a sonic wave"]],["transonic"]]],
+  sooth: [["noun",[["truth or reality","in sooth"]],[]]],
+  sooty: [["adjective",[["of the blackest black; similar to the color of jet or coal"],["covered with or as if with soot","a sooty chimney"]],["coal-black","jet","jet-black","pitchy"]]],
+  sorry: [["adjective",[["feeling or expressing regret or sorrow or a sense of loss over something done or undone","felt regretful over his vanished youth"],["bad; unfortunate","my finances were in a deplorable state"],["without merit; of little or no value or use","a sorry horse"]],["regretful","bad","deplorable","distressing","lamentable"]]],
+  sound: [["noun",[["the particular auditory effect produced by a given cause","the sound of rain on the roof"],["the subjective sensation of hearing something","he strained to hear the faint sounds"],["mechanical vibrations transmitted by an elastic medium","falling trees make a sound in the forest even when no one is there to hear them"]],["auditory sensation"]],["verb",[["appear in a certain way","This sounds interesting"],["make a certain noise or sound","She went `Mmmmm'"],["give off a certain sound or sounds","This record sounds scratchy"]],["go"]],["adjective",[["financially secure and safe","sound investments"],["exercising or showing good judgment","healthy scepticism"],["in good condition; free from defect or damage or decay","a sound timber"]],["healthy","intelligent","levelheaded","level-headed"]]],
+  south: [["noun",[["the cardinal compass point that is at 180 degrees"],["a location in the southern part of a country, region, or city"],["the direction corresponding to the southward cardinal compass point"]],["due south","southward"]],["adjective",[["situated in or facing or moving toward or coming from the south","the south entrance"]],[]],["adverb",[["in a southern direction","we moved south"]],["to the south","in the south"]]],
+  sower: [["noun",[["someone who sows"]],[]]],
+  space: [["noun",[["the unlimited expanse in which everything is located","they tested his ability to locate objects in space"],["an empty area (usually bounded in some way between things)","the architect left space in front of the building"],["an area reserved for some particular purpose","the laboratory's floor space"]],["infinite"]],["verb",[["place at intervals","Space the interviews so that you have some time between the different candidates"]],[]]],
+  spade: [["noun",[["a playing card in the major suit that has one or more black figures on it","she led a low spade"],["a sturdy hand shovel that can be pushed into the earth with the foot"]],[]],["verb",[["dig (up) with a spade","I spade compost into the flower beds"]],[]]],
+  spank: [["noun",[["a slap with the flat of the hand"]],[]],["verb",[["give a spanking to; subject to a spanking"]],["paddle","larrup"]]],
+  spare: [["verb",[["refrain from harming"],["save or relieve from an experience or action","I'll spare you from having to apologize formally"],["give up what is not strictly needed","he asked if they could spare one of their horses to speed his journey"]],["save","give up","part with","dispense with"]],["adjective",[["thin and fit","the spare figure of a marathon runner"],["more than is needed, desired, or required","trying to lose excess weight"],["not taken up by scheduled activities","a free hour between classes"]],["trim","excess","extra","redundant","supererogatory"]],["noun",[["an extra component of a machine or other apparatus"],["an extra car wheel and tire for a four-wheel vehicle"],["a score in tenpins; knocking down all ten after rolling two balls"]],["spare part","fifth wheel"]]],
+  spark: [["noun",[["a momentary flash of light"],["merriment expressed by a brightness or gleam or animation of countenance","he had a sparkle in his eye"],["electrical conduction through a gas in an applied electric field"]],["flicker","glint","sparkle","twinkle","light"]],["verb",[["put in motion or move to act","trigger a reaction"],["emit or produce sparks","A high tension wire, brought down by a storm, can continue to spark"]],["trip","actuate","trigger","activate","set off"]]],
+  spasm: [["noun",[["a painful and involuntary muscular contraction"],["(pathology) sudden constriction of a hollow organ (as a blood vessel)"]],["cramp","muscle spasm"]]],
+  spawn: [["noun",[["the mass of eggs deposited by fish or amphibians or molluscs"]],[]],["verb",[["call forth"],["lay spawn","The salmon swims upstream to spawn"]],["engender","breed"]]],
+  speak: [["verb",[["express in speech","She talks a lot of nonsense"],["exchange thoughts; talk with","We often talk business"],["use language","the baby talks already"]],["talk","utter","mouth","verbalize","verbalise"]]],
+  spear: [["noun",[["a long pointed rod used as a tool or weapon"],["an implement with a shaft and barbed point used for catching fish"]],["lance","shaft","gig","fizgig","fishgig"]],["verb",[["pierce with a spear","spear fish"],["thrust up like a spear","The branch speared up into the air"]],["spear up"]]],
+  speck: [["noun",[["a very small spot","the plane was just a speck in the sky"],["(nontechnical usage) a tiny piece of anything"],["a slight but appreciable amount","this dish could use a touch of garlic"]],["pinpoint","atom","molecule","particle","corpuscle"]],["verb",[["produce specks in or on","speck the cloth"]],[]]],
+  speed: [["verb",[["move hurridly","He rushed down the hall to receive his guests"],["move faster","The car accelerated"],["move very fast","The runner zipped past us at breakneck speed"]],["rush","hotfoot","hasten","hie","race"]],["noun",[["distance travelled per unit time"],["a rate (usually rapid) at which something happens","the project advanced with gratifying speed"],["changing location rapidly"]],["velocity","swiftness","fastness","speeding","hurrying"]]],
+  spell: [["noun",[["a psychological state induced by (or as if induced by) a magical incantation"],["a time period for working (after which you will be relieved by someone else)","it's my go"],["a period of indeterminate length (usually short) marked by some action or condition","he was here for a little while"]],["enchantment","trance","go","tour","turn"]],["verb",[["orally recite the letters of or give the spelling of","How do you spell this word?"],["indicate or signify","I'm afraid this spells trouble!"],["write or name the letters that comprise the conventionally accepted form of (a word or part of a word)","He spelled the word wrong in this letter"]],["spell out","import","write"]]],
+  spelt: [["noun",[["hardy wheat grown mostly in Europe for livestock feed"]],[]]],
+  spend: [["verb",[["use up a period of time in a specific way","how are you spending your summer vacation?"],["pay out","spend money"],["spend completely","I spend my pocket money in two days"]],["pass","expend","drop"]]],
+  spent: [["adjective",[["depleted of energy, force, or strength","impossible to grow tobacco on the exhausted soil"],["drained of energy or effectiveness; extremely tired; completely exhausted","the day's shopping left her exhausted"]],["exhausted","dog-tired","fagged","fatigued","played out"]]],
+  sperm: [["noun",[["the male reproductive cell; the male gamete","a sperm is mostly a nucleus surrounded by little other cellular material"]],["sperm cell","spermatozoon","spermatozoan"]]],
+  spice: [["noun",[["aromatic substances of vegetable origin used as a preservative"],["any of a variety of pungent aromatic vegetable substances used for flavoring food"],["the property of being seasoned with spice and so highly flavored"]],["spiciness","spicery"]],["verb",[["make more interesting or flavorful","Spice up the evening by inviting a belly dancer"],["add herbs or spices to"]],["spice up","zest"]]],
+  spicy: [["adjective",[["producing a burning sensation on the taste nerves","hot salsa"],["suggestive of sexual impropriety","a blue movie"]],["hot","blue","gamy","gamey","juicy"]]],
+  spiel: [["noun",[["plausible glib talk (especially useful to a salesperson)"]],["patter","line of gab"]],["verb",[["replay (as a melody)","Play it again, Sam"],["speak at great length (about something)"]],["play"]]],
+  spike: [["noun",[["a transient variation in voltage or current"],["sports equipment consisting of a sharp point on the sole of a shoe worn by athletes","spikes provide greater traction"],["fruiting spike of a cereal plant especially corn"]],["ear","capitulum"]],["verb",[["stand in the way of"],["pierce with a sharp stake or point","impale a shrimp on a skewer"],["secure with spikes"]],["transfix","impale","empale"]]],
+  spiky: [["adjective",[["having or as if having especially high-pitched spots","absence of peaky highs and beefed-up bass"]],["peaky"]]],
+  spill: [["verb",[["cause or allow (a liquid substance) to run or flow from a container","spill the milk"],["flow, run or fall out and become lost","The milk spilled across the floor"],["cause or allow (a solid substance) to flow or run out or over","spill the beans all over the table"]],["slop","splatter","run out","shed","disgorge"]],["noun",[["liquid that is spilled","clean up the spills"],["a channel that carries excess water over or around a dam or other obstruction"],["the act of allowing a fluid to escape"]],["spillway","wasteweir","spillage","release"]]],
+  spine: [["noun",[["the series of vertebrae forming the axis of the skeleton and protecting the spinal cord","the fall broke his back"],["any sharply pointed projection"],["a small sharp-pointed tip resembling a spike on a stem or leaf"]],["spinal column","vertebral column","backbone","back","rachis"]]],
+  spiny: [["adjective",[["having spines","the dorsal fin is spinous"],["having or covered with protective barbs or quills or spines or thorns or setae etc.","a horse with a short bristly mane"]],["spinous","barbed","barbellate","briary","briery"]]],
+  spire: [["noun",[["a tall tower that forms the superstructure of a building (usually a church or temple) and that tapers to a point at the top"]],["steeple"]]],
+  spite: [["noun",[["feeling a need to see others suffer"],["malevolence by virtue of being malicious or spiteful or nasty"]],["malice","maliciousness","spitefulness","venom","cattiness"]],["verb",[["hurt the feelings of","She hurt me when she did not include me among her guests"]],["hurt","wound","injure","bruise","offend"]]],
+  splat: [["noun",[["a single splash","he heard a splat as it hit the floor"],["a slat of wood in the middle of the back of a straight chair"]],[]],["verb",[["give off the sound of a bullet flattening on impact"],["split open and flatten for cooking","splat fish over an open fire"],["flatten on impact","The snowballs splatted on the trees"]],[]]],
+  split: [["verb",[["separate into parts or portions","divide the cake into three equal parts"],["separate or cut with a tool, such as a sharp instrument","cleave the bone"],["discontinue an association or relation; go different ways","The business partners broke over a tax question"]],["divide","split up","separate","dissever","carve up"]],["noun",[["extending the legs at right angles to the trunk (one in front and the other in back)"],["a bottle containing half the usual amount"],["a promised or claimed share of loot or money","he demanded his split before they disbanded"]],[]],["adjective",[["having been divided; having the unity destroyed","Congress...gave the impression of...a confusing sum of disconnected local forces"],["(especially of wood) cut or ripped longitudinally with the grain","we bought split logs for the fireplace"]],["disconnected","disunited","fragmented"]]],
+  spoil: [["verb",[["make a mess of, destroy or ruin","I botched the dinner and we had to eat out"],["become unfit for consumption or use","the meat must be eaten before it spoils"],["alter from the original"]],["botch","bodge","bumble","fumble","botch up"]],["noun",[["(usually plural) valuables taken by violence (especially in war)","to the victor belong the spoils of the enemy"],["the act of spoiling something by causing damage to it","her spoiling my dress was deliberate"],["the act of stripping and taking by force"]],["spoiling","spoilage","spoliation","spoilation","despoilation"]]],
+  spoke: [["noun",[["support consisting of a radial member of a wheel joining the hub to the rim"],["one of the crosspieces that form the steps of a ladder"]],["wheel spoke","radius","rundle","rung"]]],
+  spoof: [["noun",[["a composition that imitates or misrepresents somebody's style, usually in a humorous way"]],["parody","lampoon","sendup","send-up","mockery"]],["verb",[["make a parody of","The students spoofed the teachers"]],["burlesque","parody"]]],
+  spook: [["noun",[["someone unpleasantly strange or eccentric"],["a mental representation of some haunting experience","he looked like he had seen a ghost"]],["creep","weirdo","weirdie","weirdy","ghost"]],["verb",[["frighten or scare, and often provoke into a violent action","The noise spooked the horse"]],[]]],
+  spool: [["noun",[["a winder around which thread or tape or film or other flexible materials can be wound"]],["bobbin","reel"]],["verb",[["transfer data intended for a peripheral device (usually a printer) into temporary storage"],["wind onto a spool or a reel"]],[]]],
+  spoon: [["noun",[["a piece of cutlery with a shallow bowl-shaped container and a handle; used to stir or serve or take up food"],["as much as a spoon will hold","he added two spoons of sugar"],["formerly a golfing wood with an elevated face"]],["spoonful"]],["verb",[["scoop up or take up with a spoon","spoon the sauce over the roast"],["snuggle and lie in a position where one person faces the back of the others"]],["smooch"]]],
+  spore: [["noun",[["a small usually single-celled asexual reproductive body produced by many nonflowering plants and fungi and some bacteria and protozoans and that are capable of developing into a new individual without sexual fusion","a sexual spore is formed after the fusion of gametes"]],[]]],
+  sport: [["noun",[["an active diversion requiring physical exertion and competition"],["the occupation of athletes who compete for pay"],["(Maine colloquial) a temporary summer resident of Maine"]],["athletics","summercater"]],["verb",[["wear or display in an ostentatious or proud manner","she was sporting a new hat"],["play boisterously","The children frolicked in the garden"]],["feature","boast","frolic","lark","rollick"]]],
+  spout: [["verb",[["gush forth in a sudden stream or jet","water gushed forth"],["talk in a noisy, excited, or declamatory manner"]],["spurt","spirt","gush","rant","mouth off"]],["noun",[["an opening that allows the passage of liquids or grain"]],[]]],
+  spray: [["noun",[["a pesticide in suspension or solution; intended for spraying"],["a quantity of small objects flying through the air","a spray of bullets"],["flower arrangement consisting of a single branch or shoot bearing flowers and foliage"]],["spraying"]],["verb",[["be discharged in sprays of liquid","Water sprayed all over the floor"],["scatter in a mass or jet of droplets","spray water on someone"],["cover by spraying with a liquid","spray the wall with paint"]],[]]],
+  spree: [["noun",[["a brief indulgence of your impulses"]],["fling"]],["verb",[["engage without restraint in an activity and indulge, as when shopping"]],[]]],
+  sprig: [["noun",[["a small branch or division of a branch (especially a terminal division); usually applied to branches of the current or preceding year"],["an ornament that resembles a spray of leaves or flowers"]],["branchlet","twig"]]],
+  spunk: [["noun",[["material for starting a fire"],["the courage to carry on","he kept fighting on pure spunk"]],["kindling","tinder","touchwood","punk","heart"]]],
+  spurn: [["verb",[["reject with contempt","She spurned his advances"]],["reject","freeze off","scorn","pooh-pooh","disdain"]]],
+  spurt: [["noun",[["the occurrence of a sudden discharge (as of liquid)"]],["jet","squirt","spirt"]],["verb",[["gush forth in a sudden stream or jet","water gushed forth"],["move or act with a sudden increase in speed or energy"]],["spirt","gush","spout","forge"]]],
+  squad: [["noun",[["a smallest army unit"],["a cooperative unit (especially in sports)"],["a small squad of policemen trained to deal with a particular kind of crime"]],["team","police squad"]]],
+  squat: [["verb",[["sit on one's heels","In some cultures, the women give birth while squatting"],["be close to the earth, or be disproportionately wide","The building squatted low"],["occupy (a dwelling) illegally"]],["crouch","scrunch","scrunch up","hunker","hunker down"]],["adjective",[["short and thick; as e.g. having short legs and heavy musculature","some people seem born to be square and chunky"],["having a low center of gravity; built low to the ground"]],["chunky","dumpy","low-set","squatty","stumpy"]],["noun",[["exercising by repeatedly assuming a crouching position with the knees bent; strengthens the leg muscles"],["a small worthless amount","you don't know jack"],["the act of assuming or maintaining a crouching position with the knees bent and the buttocks near the heels"]],["knee bend","squatting","jack","doodly-squat","diddly-squat"]]],
+  squib: [["noun",[["firework consisting of a tube filled with powder (as a broken firecracker) that burns with a fizzing noise"]],[]]],
+  stack: [["noun",[["an orderly pile"],["(often followed by `of') a large number or amount or extent","a batch of letters"],["a list in which the next item to be removed is the item most recently stored (LIFO)"]],["batch","deal","flock","good deal","great deal"]],["verb",[["load or cover with stacks","stack a truck with boxes"],["arrange in stacks","heap firewood around the fireplace"],["arrange the order of so as to increase one's winning chances","stack the deck of cards"]],["pile","heap"]]],
+  staff: [["noun",[["personnel who assist their superior in carrying out an assigned task","the hospital has an excellent nursing staff"],["a strong rod or stick with a specialized utilitarian purpose","he walked with the help of a wooden staff"],["the body of teachers and administrators at a school","the dean addressed the letter to the entire staff of the university"]],["faculty"]],["verb",[["provide with staff","This position is not always staffed"],["serve on the staff of","The two men staff the reception desk"]],[]]],
+  stage: [["noun",[["any distinct time period in a sequence of events","we are in a transitional stage in which many former ideas must be revised or rejected"],["a specific identifiable position in a continuum or series or especially in a process","a remarkable degree of frankness"],["a large platform on which people can stand and can be seen by an audience","he clambered up onto the stage and got the actors to help him into the box"]],["phase","degree","level","point"]],["verb",[["perform (a play), especially on a stage","we are going to stage `Othello'"],["plan, organize, and carry out (an event)","the neighboring tribe staged an invasion"]],["present","represent","arrange"]]],
+  staid: [["adjective",[["characterized by dignity and propriety"]],["sedate"]]],
+  stain: [["noun",[["a soiled or discolored appearance","the wine left a dark stain"],["(microscopy) a dye or other coloring material that is used in microscopy to make structures visible"],["the state of being covered with unclean things"]],["discoloration","discolouration","dirt","filth","grime"]],["verb",[["color with a liquid dye or tint","Stain this table a beautiful walnut color"],["produce or leave stains","Red wine stains the table cloth"],["make dirty or spotty, as by exposure to air; also used metaphorically","The silver was tarnished by the long exposure to the air"]],["tarnish","maculate","sully","defile"]]],
+  stair: [["noun",[["support consisting of a place to rest the foot while ascending or descending a stairway","he paused on the bottom step"]],["step"]]],
+  stake: [["noun",[["(law) a right or legal share of something; a financial involvement with something","they have interests all over the world"],["a pole or stake set up to mark something (as the start or end of a race track)","a pair of posts marked the goal"],["instrument of execution consisting of a vertical post that a victim is tied to for burning"]],["interest","post"]],["verb",[["put at risk","I will stake my good reputation for this"],["place a bet on","Which horse are you backing?"],["mark with a stake","stake out the path"]],["venture","hazard","adventure","jeopardize","bet on"]]],
+  stale: [["adjective",[["lacking freshness, palatability, or showing deterioration from age","stale bread"],["lacking originality or spontaneity; no longer new","moth-eaten theories about race"]],["cold","dusty","moth-eaten"]],["verb",[["urinate, of cattle and horses"]],[]]],
+  stalk: [["verb",[["walk stiffly"],["follow stealthily or recur constantly and spontaneously to","her ex-boyfriend stalked her"],["go through (an area) in search of prey","stalk the woods for deer"]],["haunt"]],["noun",[["material consisting of seed coverings and small pieces of stem or leaves that have been separated from the seeds"],["a slender or elongated structure that supports a plant or fungus or a plant part or plant organ"],["a hunt for game carried on by following it stealthily or waiting in ambush"]],["chaff","husk","shuck","straw","stubble"]]],
+  stall: [["noun",[["a compartment in a stable where a single animal is confined and fed"],["small area set off by walls for special use"],["a booth where articles are displayed for sale"]],["booth","cubicle","kiosk","stand","sales booth"]],["verb",[["postpone doing what one should be doing","He did not want to write the letter and procrastinated for days"],["come to a stop","The car stalled in the driveway"],["deliberately delay an event or action","she doesn't want to write the report, so she is stalling"]],["procrastinate","drag one's feet","drag one's heels","shillyshally","dilly-dally"]]],
+  stamp: [["verb",[["walk heavily","The men stomped through the snow in their heavy boots"],["to mark, or produce an imprint in or on something","a man whose name is permanently stamped on our maps"],["reveal clearly as having a certain character","His playing stamps him as a Romantic"]],["stomp","stump"]],["noun",[["the distinctive form in which a thing is made","pottery of this cast was found throughout the region"],["a type or class","more men of his stamp are needed"],["a symbol that is the result of printing or engraving","he put his stamp on the envelope"]],["cast","mold","mould","impression"]]],
+  stand: [["verb",[["be standing; be upright","We had to stand for the entire performance!"],["be in some specified state or condition","I stand corrected"],["occupy a place or location, also metaphorically","We stand on common ground"]],["stand up"]],["noun",[["a support or foundation","the base of the lamp"],["the position where a thing or person stands"],["a growth of similar plants (usually trees) in a particular area","they cut down a stand of trees"]],["base","pedestal"]]],
+  stare: [["verb",[["look at with fixed eyes","The students stared at the teacher with amazement"],["fixate one's eyes","The ancestor in the painting is staring down menacingly"]],["gaze"]],["noun",[["a fixed look with eyes open wide"]],[]]],
+  stark: [["adjective",[["devoid of any qualifications or disguise or adornment","the blunt truth"],["severely simple","a stark interior"],["complete or extreme","stark poverty"]],["blunt","crude","austere","severe","stern"]],["adverb",[["completely","stark mad"]],[]]],
+  start: [["verb",[["take the first step or steps in carrying out an action","We began working at dawn"],["set in motion, cause to start","The U.S. started a war in the Middle East"],["leave","The family took off for Florida"]],["get down","begin","get","start out","set about"]],["noun",[["the beginning of anything","it was off to a good start"],["the time at which something is supposed to begin","they got an early start"],["a turn to be a starter (in a game at the beginning)","he got his start because one of the regular pitchers was in the hospital"]],["beginning","commencement","first","outset","get-go"]]],
+  stash: [["noun",[["a secret store of valuables or money"]],["hoard","cache"]],["verb",[["save up as for future use"]],["hoard","cache","lay away","hive up","squirrel away"]]],
+  state: [["noun",[["the territory occupied by one of the constituent administrative districts of a nation","his state is in the deep south"],["the way something is with respect to its main attributes","the current state of knowledge"],["the group of people comprising the government of a sovereign state","the state has lowered its income tax"]],["province"]],["verb",[["express in words","He said that he wanted to marry her"],["put before","I submit to you that the accused is guilty"],["indicate through a symbol, formula, etc.","Can you express this distance in kilometers?"]],["say","tell","submit","put forward","posit"]]],
+  stave: [["noun",[["(music) the system of five horizontal lines on which the musical notes are written"],["one of several thin slats of wood forming the sides of a barrel or bucket"],["a crosspiece between the legs of a chair"]],["staff","lag","rung","round"]],["verb",[["furnish with staves","stave a ladder"],["burst or force (a hole) into something"]],["stave in"]]],
+  stead: [["noun",[["the post or function properly or customarily occupied or served by another","can you go in my stead?"]],["position","place","lieu"]]],
+  steak: [["noun",[["a slice of meat cut from the fleshy part of an animal or large fish"]],[]]],
+  steal: [["verb",[["take without the owner's consent","Someone stole my wallet on the train"],["move stealthily","The ship slipped away in the darkness"],["steal a base"]],["rip off","rip","slip"]],["noun",[["an advantageous purchase","she got a bargain at the auction"],["a stolen base; an instance in which a base runner advances safely during the delivery of a pitch (without the help of a hit or walk or passed ball or wild pitch)"]],["bargain","buy"]]],
+  steam: [["verb",[["travel by means of steam power","The ship steamed off into the Pacific"],["emit steam","The rain forest was literally steaming"],["rise as vapor"]],["steamer"]],["noun",[["water at boiling temperature diffused in the atmosphere"]],[]]],
+  steed: [["noun",[["(literary) a spirited horse for state of war"]],[]]],
+  steel: [["noun",[["an alloy of iron with small amounts of carbon; widely used in construction; mechanical properties can be varied over a wide range"],["a cutting or thrusting weapon that has a long metal blade and a hilt with a hand guard"],["knife sharpener consisting of a ridged steel rod"]],["sword","blade","brand"]],["verb",[["get ready for something difficult or unpleasant"],["cover, plate, or edge with steel"]],["nerve"]]],
+  steep: [["verb",[["devote (oneself) fully to","He immersed himself into his studies"],["let sit in a liquid to extract a flavor or to cleanse","steep the blossoms in oil"]],["immerse","engulf","plunge","engross","absorb"]],["adjective",[["having a sharp inclination","the steep attic stairs"],["greatly exceeding bounds of reason or moderation","exorbitant rent"],["of a slope; set at a high angle","note the steep incline"]],["exorbitant","extortionate","outrageous","unconscionable","usurious"]],["noun",[["a steep place (as on a hill)"]],[]]],
+  steer: [["verb",[["direct the course; determine the direction of travelling"],["direct (oneself) somewhere","Steer clear of him"],["be a guiding or motivating force or drive","The teacher steered the gifted students towards the more challenging courses"]],["maneuver","manoeuver","manoeuvre","direct","point"]],["noun",[["an indication of potential opportunity","he got a tip on the stock market"],["castrated bull"]],["tip","lead","confidential information","wind","hint"]]],
+  stein: [["noun",[["a mug intended for serving beer"],["experimental expatriate United States writer (1874-1946)"]],["beer mug"]]],
+  stern: [["adjective",[["of a stern or strict bearing or demeanor; forbidding in aspect","an austere expression"],["not to be placated or appeased or moved by entreaty","grim determination"],["severe and unremitting in making demands","an exacting instructor"]],["austere","grim","inexorable","relentless","unappeasable"]],["noun",[["the rear part of a ship"],["the fleshy part of the human body that you sit on","he deserves a good kick in the butt"],["United States concert violinist (born in Russia in 1920)"]],["after part","quarter","poop","tail","buttocks"]]],
+  stick: [["noun",[["an implement consisting of a length of wood","he collected dry sticks for a campfire"],["a small thin branch of a tree"],["a lever used by a pilot to control the ailerons and elevators of an airplane"]],["control stick","joystick"]],["verb",[["put, fix, force, or implant","lodge a bullet in the table"],["stay put (in a certain place)","We are staying in Detroit; we are not moving to Cincinnati"],["stick to firmly","Will this wallpaper adhere to the wall?"]],["lodge","wedge","deposit","stay","stick around"]]],
+  stiff: [["adjective",[["not moving or operating freely","a stiff hinge"],["powerful","a stiff current"],["rigidly formal","a starchy manner"]],["starchy","buckram"]],["noun",[["an ordinary man","a lucky stiff"],["the dead body of a human being","the cadaver was intended for dissection"]],["cadaver","corpse","clay","remains"]],["adverb",[["extremely","bored stiff"],["in a stiff manner","his hands lay stiffly"]],["stiffly"]]],
+  still: [["adjective",[["not in physical motion","the inertia of an object at rest"],["marked by absence of sound","a silent house"],["(of a body of water) free from disturbance by heavy waves","a ribbon of sand between the angry sea and the placid bay"]],["inactive","motionless","static","silent","soundless"]],["adverb",[["with reference to action or condition; without change, interruption, or cessation","it's still warm outside"],["despite anything to the contrary (usually preceding a concession)","although I'm a little afraid, however I'd like to try it"],["to a greater degree or extent; used with comparisons","looked sick and felt even worse"]],["however","nevertheless","withal","yet","all the same"]],["verb",[["make calm or still","quiet the dragons of worry and fear"],["cause to be quiet or not talk","Please silence the children in the church!"],["lessen the intensity of or calm","The news eased my conscience"]],["calm","calm down","quiet","tranquilize","tranquillize"]],["noun",[["a static photograph (especially one taken from a movie and used for advertising purposes)","he wanted some stills for a magazine ad"],["(poetic) tranquil silence","the still of the night"],["an apparatus used for the distillation of liquids; consists of a vessel in which a substance is vaporized by heat and a condenser where the vapor is condensed"]],["hush","stillness"]]],
+  stilt: [["noun",[["a column of wood or steel or concrete that is driven into the ground to provide support for a structure"],["one of two stout poles with foot rests in the middle; used for walking high above the ground","he was so tall I thought he was on stilts"],["long-legged three-toed wading bird of brackish marshes of Australia"]],["pile","spile","piling"]]],
+  sting: [["verb",[["cause a sharp or stinging pain or discomfort","The sun burned his face"],["deliver a sting to","A bee stung my arm yesterday"],["saddle with something disagreeable or disadvantageous","They stuck me with the dinner bill"]],["bite","burn","prick","stick"]],["noun",[["a kind of pain; something as sudden and painful as being stung","the sting of death"],["a mental pain or distress","a pang of conscience"],["a painful wound caused by the thrust of an insect's stinger into skin"]],["stinging","pang","bite","insect bite"]]],
+  stink: [["verb",[["be extremely bad in quality or in one's performance","This term paper stinks!"],["smell badly and offensively","The building reeks of smoke"]],["reek"]],["noun",[["a distinctive odor that is offensively unpleasant"]],["malodor","malodour","stench","reek","fetor"]]],
+  stint: [["noun",[["an unbroken period of time during which you do something","there were stretches of boredom"],["smallest American sandpiper"],["an individual's prescribed share of work","her stint as a lifeguard exhausted her"]],["stretch","least sandpiper"]],["verb",[["subsist on a meager allowance","scratch and scrimp"],["supply sparingly and with restricted quantities","stint with the allowance"]],["scrimp","skimp","scant"]]],
+  stock: [["noun",[["the capital raised by a corporation through the issue of shares entitling holders to an ownership interest (equity)","he owns a controlling share of the company's stock"],["the merchandise that a shop has on hand","they carried a vast inventory of hardware"],["the handle of a handgun or the butt end of a rifle or shotgun or part of the support of a machine gun or artillery gun","the rifle had been fitted with a special stock"]],["inventory","gunstock"]],["verb",[["have on hand","Do you carry kerosene heaters?"],["equip with a stock","stock a rifle"],["supply with fish","stock a lake"]],["carry","stockpile"]],["adjective",[["repeated too often; overfamiliar through overuse","bromidic sermons"],["routine","a stock answer"],["regularly and widely used or sold","a standard size"]],["banal","commonplace","hackneyed","old-hat","shopworn"]]],
+  stoic: [["noun",[["someone who is seemingly indifferent to emotions"],["a member of the ancient Greek school of philosophy founded by Zeno","a Stoic achieves happiness by submission to destiny"]],["unemotional person"]],["adjective",[["seeming unaffected by pleasure or pain; impassive","stoic courage"],["pertaining to Stoicism or its followers"]],["stoical"]]],
+  stoke: [["verb",[["stir up or tend; of a fire"]],[]]],
+  stole: [["noun",[["a wide scarf worn about their shoulders by women"]],[]]],
+  stomp: [["verb",[["walk heavily","The men stomped through the snow in their heavy boots"]],["stamp","stump"]],["noun",[["a dance involving a rhythmical stamping step"]],[]]],
+  stone: [["noun",[["a lump or mass of hard consolidated mineral matter","he threw a rock at me"],["building material consisting of a piece of rock hewn in a definite shape for a special purpose","he wanted a special stone to mark the site"],["material consisting of the aggregate of minerals like those making up the Earth's crust","that mountain is solid rock"]],["rock"]],["verb",[["kill by throwing stones at","People wanted to stone the woman who had a child out of wedlock"],["remove the pits from","pit plums and cherries"]],["lapidate","pit"]],["adjective",[["of any of various dull tannish or grey colors"]],[]]],
+  stony: [["adjective",[["abounding in rocks or stones","rocky fields"],["showing unfeeling resistance to tender feelings","his flinty gaze"],["hard as granite","a granitic fist"]],["rocky","bouldery","bouldered","flinty","flint"]]],
+  stool: [["noun",[["a simple seat without a back or arms"],["solid excretory product evacuated from the bowels"],["(forestry) the stump of a tree that has been felled or headed for the production of saplings"]],["fecal matter","faecal matter","feces","faeces","ordure"]],["verb",[["lure with a stool, as of wild fowl"],["react to a decoy, of wildfowl"],["grow shoots in the form of stools or tillers"]],["tiller"]]],
+  stoop: [["noun",[["an inclination of the top half of the body forward and downward"],["basin for holy water"],["small porch or set of steps at the front entrance of a house"]],["stoup","stoep"]],["verb",[["bend one's back forward from the waist on down","he crouched down"],["debase oneself morally, act in an undignified, unworthy, or dishonorable way","I won't stoop to reading other people's mail"],["descend swiftly, as if on prey","The eagle stooped on the mice in the field"]],["crouch","bend","bow","condescend","lower oneself"]]],
+  store: [["noun",[["a mercantile establishment for the retail sale of goods or services","he bought it at a shop on Cape Cod"],["a supply of something available for future use","he brought back a large store of Cuban cigars"],["an electronic memory device","a memory and the CPU form the central part of a computer to which peripherals are attached"]],["shop","stock","fund","memory","computer memory"]],["verb",[["keep or lay aside for future use","store grain for the winter"],["find a place for and put away for storage","where should we stow the vegetables?"]],["hive away","lay in","put in","salt away","stack away"]]],
+  stork: [["noun",[["large mostly Old World wading birds typically having white-and-black plumage"]],[]]],
+  storm: [["noun",[["a violent weather condition with winds 64-72 knots (11 on the Beaufort scale) and precipitation and thunder and lightning"],["a violent commotion or disturbance","the storms that had characterized their relationship had died away"],["a direct and violent assault on a stronghold"]],["violent storm","tempest"]],["verb",[["behave violently, as if in state of a great anger"],["take by force","Storm the fort"],["rain, hail, or snow hard and be very windy, often with thunder or lightning","If it storms, we'll need shelter"]],["ramp","rage","force"]]],
+  story: [["noun",[["a message that tells the particulars of an act or occurrence or course of events; presented in writing or drama or cinema or as a radio or television program","his narrative was interesting"],["a piece of fiction that narrates a chain of related events","he writes stories for the magazines"],["a structure consisting of a room or set of rooms at a single position along a vertical scale","what level is the office on?"]],["narrative","narration","tale","floor","level"]]],
+  stout: [["adjective",[["dependable","the stalwart citizens at Lexington"],["euphemisms for `fat'","men are portly and women are stout"],["having rugged physical strength; inured to fatigue or hardships","hardy explorers of northern Canada"]],["stalwart","portly","hardy","sturdy"]],["noun",[["a strong very dark heavy-bodied ale made from pale malt and roasted unmalted barley and (often) caramel malt with hops"],["a garment size for a large or heavy person"]],[]]],
+  stove: [["noun",[["a kitchen appliance used for cooking food","dinner was already on the stove"],["any heating apparatus"]],["kitchen stove","range","kitchen range","cooking stove"]]],
+  strap: [["noun",[["an elongated leather strip (or a strip of similar material) for binding things together or holding something in position"],["hanger consisting of a loop of leather suspended from the ceiling of a bus or train; passengers hold onto it"],["a band that goes over the shoulder and supports a garment or bag"]],["shoulder strap"]],["verb",[["tie with a strap"],["beat severely with a whip or rod","The teacher often flogged the students"],["sharpen with a strap","strap a razor"]],["flog","welt","whip","lather","lash"]]],
+  straw: [["noun",[["plant fiber used e.g. for making baskets and hats or as fodder"],["material consisting of seed coverings and small pieces of stem or leaves that have been separated from the seeds"],["a variable yellow tint; dull yellow, often diluted with white"]],["chaff","husk","shuck","stalk","stubble"]],["adjective",[["of a pale yellow color like straw; straw-colored"]],[]],["verb",[["cover or provide with or as if with straw","cows were strawed to weather the snowstorm"],["spread by scattering (\"straw\" is archaic)","strew toys all over the carpet"]],["strew"]]],
+  stray: [["verb",[["move about aimlessly or without any destination, often in search of food or employment","The gypsies roamed the woods"],["wander from a direct course or at random","The child strayed from the path and her parents lost sight of her"],["lose clarity or turn aside especially from the main subject of attention or course of argument in writing, thinking, or speaking","She always digresses when telling a story"]],["roll","wander","swan","tramp","roam"]],["noun",[["an animal that has strayed (especially a domestic animal)"]],[]],["adjective",[["not close together in time","isolated instances of rebellion"],["(of an animal) having no home or having wandered away from home","a stray calf"]],["isolated"]]],
+  strip: [["verb",[["take away possessions from someone","The Nazis stripped the Jews of all their assets"],["get undressed","please don't undress in front of everybody!"],["remove the surface from","strip wood"]],["deprive","divest","undress","discase","uncase"]],["noun",[["a relatively long narrow piece of something","he felt a flat strip of muscle"],["artifact consisting of a narrow flat piece of material"],["an airfield without normal airport facilities"]],["slip","airstrip","flight strip","landing strip"]]],
+  strut: [["noun",[["a proud stiff pompous gait"],["brace consisting of a bar or rod used to resist longitudinal compression"]],["prance","swagger"]],["verb",[["to walk with a lofty proud gait, often in an attempt to impress others","He struts around like a rooster in a hen house"]],["tittup","swagger","ruffle","prance","sashay"]]],
+  stuck: [["adjective",[["caught or fixed","stuck in the mud"],["baffled","this problem has me completely stuck"]],[]]],
+  study: [["noun",[["a detailed critical inspection"],["applying the mind to learning and understanding a subject (especially by reading)","mastering a second language requires a lot of work"],["a written document describing the findings of some individual or group","this accords with the recent study by Hill and Dale"]],["survey","work","report","written report"]],["verb",[["consider in detail and subject to an analysis in order to discover essential features or meaning","analyze a sonnet by Shakespeare"],["be a student; follow a course of study; be enrolled at an institute of learning"],["give careful consideration to","consider the possibility of moving"]],["analyze","analyse","examine","canvass","consider"]]],
+  stuff: [["noun",[["the tangible substance that goes into the makeup of a physical object","coal is a hard black material"],["miscellaneous unspecified objects","the trunk was full of stuff"],["informal terms for personal possessions","did you take all your clobber?"]],["material","clobber"]],["verb",[["cram into a cavity","The child stuffed candy into his pockets"],["press or force","Stuff money into an envelope"],["obstruct","My nose is all stuffed"]],["thrust","shove","squeeze","lug","choke up"]]],
+  stump: [["noun",[["the base part of a tree that remains standing after the tree has been felled"],["the part of a limb or tooth that remains after the rest is removed"],["(cricket) any of three upright wooden posts that form the wicket"]],["tree stump"]],["verb",[["cause to be perplexed or confounded","This problem stumped her"],["walk heavily","The men stomped through the snow in their heavy boots"],["travel through a district and make political speeches","the candidate stumped the Northeast"]],["mix up","stomp","stamp"]]],
+  stung: [["adjective",[["aroused to impatience or anger","made an irritated gesture"]],["annoyed","irritated","miffed","nettled","peeved"]]],
+  stunt: [["noun",[["a difficult or unusual or dangerous feat; usually done to gain attention"],["a creature (especially a whale) that has been prevented from attaining full growth"]],[]],["verb",[["check the growth or development of","You will stunt your growth by building all these muscles"],["perform a stunt or stunts"]],[]]],
+  style: [["noun",[["how something is done or how it happens","her dignified manner"],["a way of expressing something (in language or art or music etc.) that is characteristic of a particular person or group of people or period","all the reporters were expected to adopt the style of the newspaper"],["a particular kind (as to appearance)","this style of shoe is in demand"]],["manner","mode","way","fashion","expressive style"]],["verb",[["designate by an identifying term","They styled their nation `The Confederate States'"],["make consistent with a certain fashion or style","Style my hair"],["make consistent with certain rules of style","style a manuscript"]],["title"]]],
+  suave: [["adjective",[["having a sophisticated charm","a debonair gentleman"],["smoothly agreeable and courteous with a degree of sophistication","he was too politic to quarrel with so important a personage"]],["debonair","debonaire","debonnaire","politic","smooth"]]],
+  sugar: [["noun",[["a white crystalline carbohydrate used as a sweetener and preservative"],["an essential structural component of living cells and source of energy for animals; includes simple sugars with small molecules as well as macromolecular substances; are classified according to the number of monosaccharide groups they contain"],["informal terms for money"]],["refined sugar","carbohydrate","saccharide","boodle","bread"]],["verb",[["sweeten with sugar","sugar your tea"]],["saccharify"]]],
+  suite: [["noun",[["a musical composition of several movements only loosely connected"],["apartment consisting of a series of connected rooms used as a living unit (as in a hotel)"],["the group following and attending to some important person"]],["rooms","cortege","retinue","entourage"]]],
+  sulky: [["noun",[["a light two-wheeled vehicle for one person; drawn by one horse"]],[]],["adjective",[["sullen or moody"],["moving slowly","a sluggish stream"],["depressingly dark","the gloomy forest"]],["huffish","sluggish","glooming","gloomy","gloomful"]]],
+  sully: [["noun",[["United States painter (born in England) of portraits and historical scenes (1783-1872)"],["French statesman (1560-1641)"]],[]],["verb",[["place under suspicion or cast doubt upon","sully someone's reputation"],["make dirty or spotty, as by exposure to air; also used metaphorically","The silver was tarnished by the long exposure to the air"],["charge falsely or with malicious intent; attack the good name and reputation of someone","The journalists have defamed me!"]],["defile","corrupt","taint","cloud","tarnish"]]],
+  sumac: [["noun",[["wood of a sumac"],["a shrub or tree of the genus Rhus (usually limited to the non-poisonous members of the genus)"]],["sumach","shumac"]]],
+  sunny: [["adjective",[["bright and pleasant; promoting a feeling of cheer","a cheery hello"]],["cheery","gay"]]],
+  super: [["adjective",[["of the highest quality","an ace reporter"],["including more than a specified category","a super experiment"],["extremely large","another super skyscraper"]],["ace","crack","first-rate","tiptop","topnotch"]],["adverb",[["to an extreme degree","extremely cold"]],["extremely","exceedingly","deathly"]],["noun",[["a caretaker for an apartment house; represents the owner as janitor and rent collector"]],["superintendent"]]],
+  surge: [["verb",[["rise and move, as in waves or billows","The army surged forward"],["rise rapidly","the dollar soared against the yen"],["rise or move forward","surging waves"]],["billow","heave","soar","soar up","soar upwards"]],["noun",[["a sudden forceful flow"],["a sudden or abrupt strong increase","stimulated a surge of speculation"],["a large sea wave"]],["rush","spate","upsurge","billow"]]],
+  surly: [["adjective",[["inclined to anger or bad feelings with overtones of menace","a surly waiter"]],["ugly"]]],
+  sushi: [["noun",[["rice (with raw fish) wrapped in seaweed"]],[]]],
+  swami: [["noun",[["a Hindu religious teacher; used as a title of respect"]],[]]],
+  swamp: [["verb",[["drench or submerge or be drenched or submerged","The tsunami swamped every boat in the harbor"],["fill quickly beyond capacity; as with a liquid","the basement was inundated after the storm"]],["drench","deluge","flood","inundate"]],["noun",[["low land that is seasonally flooded; has more woody plants than a marsh and better drainage than a bog"],["a situation fraught with difficulties and imponderables","he was trapped in a medical swamp"]],["swampland"]]],
+  swarm: [["noun",[["a moving crowd"],["a group of many things in the air or on the ground","a swarm of insects obscured the light"]],["drove","horde","cloud"]],["verb",[["be teeming, be abuzz","The garden was swarming with bees"],["move in large numbers","people were pouring out of the theater"]],["teem","pullulate","pour","stream"]]],
+  swash: [["noun",[["the movement or sound of water","the swash of waves on the beach"]],[]],["verb",[["make violent, noisy movements"],["dash a liquid upon or against","The mother splashed the baby's face with water"],["show off"]],["spatter","splatter","plash","splash","splosh"]]],
+  swath: [["noun",[["the space created by the swing of a scythe or the cut of a mowing machine"],["a path or strip (as cut by one course of mowing)"]],["belt"]]],
+  swear: [["verb",[["utter obscenities or profanities","The drunken men were cursing loudly in the street"],["to declare or affirm solemnly and formally as true","Before God I swear I am innocent"],["promise solemnly; take an oath"]],["curse","cuss","blaspheme","imprecate","affirm"]]],
+  sweat: [["noun",[["salty fluid secreted by sweat glands","sweat poured off his brow"],["agitation resulting from active worry","don't get in a stew"],["condensation of moisture on a cold surface","the cold glasses were streaked with sweat"]],["perspiration","sudor","fret","stew","lather"]],["verb",[["excrete perspiration through the pores in the skin","Exercise makes one sweat"]],["sudate","perspire"]]],
+  sweep: [["verb",[["sweep across or over","Her long skirt brushed the floor"],["move with sweeping, effortless, gliding motions","The diva swept into the room"],["sweep with a broom or as if with a broom","Sweep the crumbs off the table"]],["brush","sail","broom"]],["noun",[["a wide scope","the sweep of the plains"],["someone who cleans soot from chimneys"],["winning all or all but one of the tricks in bridge"]],["expanse","chimneysweeper","chimneysweep","slam"]]],
+  sweet: [["adjective",[["having or denoting the characteristic taste of sugar"],["having a sweet nature befitting an angel or cherub","an angelic smile"],["pleasing to the ear","the dulcet tones of the cello"]],["angelic","angelical","cherubic","seraphic","dulcet"]],["adverb",[["in an affectionate or loving manner (`sweet' is sometimes a poetic or informal variant of `sweetly')","Susan Hayward plays the wife sharply and sweetly"]],["sweetly"]],["noun",[["a dish served as the last course of a meal"],["a food rich in sugar"],["the taste experience when sugar dissolves in the mouth"]],["dessert","afters","confection","sweetness","sugariness"]]],
+  swell: [["verb",[["increase in size, magnitude, number, or intensity","The music swelled to a crescendo"],["become filled with pride, arrogance, or anger","The mother was swelling with importance when she spoke of her son"],["expand abnormally","The bellies of the starving children are swelling"]],["puff up","swell up","intumesce","tumefy","tumesce"]],["noun",[["the undulating movement of the surface of the open sea"],["a rounded elevation (especially one on an ocean floor)"],["a crescendo followed by a decrescendo"]],["crestless wave"]],["adjective",[["very good","he did a bully job"]],["bang-up","bully","corking","cracking","dandy"]]],
+  swept: [["adjective",[["possessing sweep","the sleek swept wings of the plane"]],[]]],
+  swift: [["adjective",[["moving very fast","fleet of foot"]],["fleet"]],["noun",[["a small bird that resembles a swallow and is noted for its rapid flight"],["common western lizard; seen on logs or rocks"],["United States meat-packer who began the use of refrigerated railroad cars (1839-1903)"]],["western fence lizard","blue-belly"]]],
+  swill: [["noun",[["wet feed (especially for pigs) consisting of mostly kitchen waste mixed with water or skimmed or sour milk"]],["slop","slops","pigswill","pigwash"]],["verb",[["feed pigs"],["drink large quantities of (liquid, especially alcoholic drink)"]],["slop","swill down"]]],
+  swine: [["noun",[["stout-bodied short-legged omnivorous animals"]],[]]],
+  swing: [["verb",[["move in a curve or arc, usually with the intent of hitting","He swung his left fist"],["move or walk in a swinging or swaying manner","He swung back"],["change direction with a swinging motion; turn","swing back"]],["sway"]],["noun",[["a state of steady vigorous action that is characteristic of an activity","the party went with a swing"],["mechanical device used as a plaything to support someone swinging back and forth"],["a sweeping blow or stroke","he took a wild swing at my head"]],[]]],
+  swirl: [["verb",[["turn in a twisting or spinning motion","The leaves swirled in the autumn wind"],["flow in a circular current, of liquids"]],["twirl","twiddle","whirl","eddy","purl"]],["noun",[["the shape of something rotating rapidly"]],["whirl","vortex","convolution"]]],
+  swish: [["verb",[["move with or cause to move with a whistling or hissing sound","The bubbles swoshed around in the glass"]],["lap","swosh","swoosh"]],["noun",[["a brushing or rustling sound"]],[]],["adjective",[["elegant and fashionable","classy clothes"]],["classy","posh"]]],
+  swoon: [["verb",[["pass out from weakness, physical or emotional distress due to a loss of blood supply to the brain"]],["faint","conk","pass out"]],["noun",[["a spontaneous loss of consciousness caused by insufficient blood to the brain"]],["faint","syncope","deliquium"]]],
+  swoop: [["noun",[["(music) rapid sliding up or down the musical scale","the violinist was indulgent with his swoops and slides"],["a very rapid raid"],["a swift descent through the air"]],["slide"]],["verb",[["move down on as if in an attack","The raptor swooped down on its prey"],["move with a sweep, or in a swooping arc"],["seize or catch with a swooping motion"]],["pounce","swoop up"]]],
+  sword: [["noun",[["a cutting or thrusting weapon that has a long metal blade and a hilt with a hand guard"]],["blade","brand","steel"]]],
+  sworn: [["adjective",[["bound by or as if by an oath","according to an early tradition became his sworn brother"],["bound by or stated on oath","now my sworn friend and then mine enemy"]],["pledged"]]],
+  synod: [["noun",[["a council convened to discuss ecclesiastical business"]],[]]],
+  syrup: [["noun",[["a thick sweet sticky liquid"]],["sirup"]]],
+  tabby: [["noun",[["a cat with a grey or tawny coat mottled with black"],["female cat"]],["tabby cat","queen"]],["adjective",[["having a grey or brown streak or a pattern or a patchy coloring; used especially of the patterned fur of cats"]],["brindled","brindle","brinded"]]],
+  table: [["noun",[["a set of data arranged in rows and columns","see table 1"],["a piece of furniture having a smooth flat top that is usually supported by one or more vertical legs","it was a sturdy table"],["a piece of furniture with tableware for a meal laid out on it","I reserved a table at my favorite restaurant"]],["tabular array"]],["verb",[["hold back to a later time","let's postpone the exam"],["arrange or enter in tabular form"]],["postpone","prorogue","hold over","put over","shelve"]]],
+  taboo: [["adjective",[["excluded from use or mention","forbidden fruit"],["forbidden to profane use especially in South Pacific islands"]],["forbidden","out","prohibited","proscribed","tabu"]],["noun",[["a prejudice (especially in Polynesia and other South Pacific islands) that prohibits the use or mention of something because of its sacred nature"],["an inhibition or ban resulting from social custom or emotional aversion"]],["tabu"]],["verb",[["declare as sacred and forbidden"]],[]]],
+  tacit: [["adjective",[["implied by or inferred from actions or statements","gave silent consent"]],["silent","understood"]]],
+  tacky: [["adjective",[["(of a glutinous liquid such as paint) not completely dried and slightly sticky to the touch","tacky varnish"],["tastelessly showy","a flash car"]],["brassy","cheap","flash","flashy","garish"]]],
+  taffy: [["noun",[["chewy candy of sugar or syrup boiled until thick and pulled until glossy"]],[]]],
+  taint: [["noun",[["the state of being contaminated"]],["contamination"]],["verb",[["place under suspicion or cast doubt upon","sully someone's reputation"],["contaminate with a disease or microorganism"]],["defile","sully","corrupt","cloud","infect"]]],
+  taken: [["adjective",[["understood in a certain way; made sense of","a word taken literally"],["be affected with an indisposition","the child was taken ill"]],["interpreted"]]],
+  taker: [["noun",[["one who accepts an offer"],["one who takes a bet or wager"]],[]]],
+  tally: [["noun",[["a score in baseball made by a runner touching all four bases safely","the Yankees scored 3 runs in the bottom of the 9th"],["a bill for an amount due"],["the act of counting; reciting numbers in ascending order","the counting continued for several hours"]],["run","reckoning","count","counting","numeration"]],["verb",[["be compatible, similar or consistent; coincide in their characteristics","The two stories don't agree in many details"],["gain points in a game","The home team scored many times"],["keep score, as in games"]],["match","fit","correspond","check","jibe"]]],
+  talon: [["noun",[["a sharp hooked claw especially on a bird of prey"]],[]]],
+  tamer: [["noun",[["an animal trainer who tames wild animals"]],[]]],
+  tango: [["noun",[["a ballroom dance of Latin-American origin"],["music written in duple time for dancing the tango"]],[]],["verb",[["dance a tango"]],[]]],
+  tangy: [["adjective",[["tasting sour like a lemon"]],["lemony","lemonlike","sourish","tart"]]],
+  taper: [["verb",[["diminish gradually","Interested tapered off"],["give a point to","The candles are tapered"]],["sharpen","point"]],["noun",[["a convex shape that narrows toward a point"],["the property possessed by a shape that narrows toward a point (as a wedge or cone)"],["a loosely woven cord (in a candle or oil lamp) that draws fuel by capillary action up into the flame"]],["wick"]]],
+  tapir: [["noun",[["large inoffensive chiefly nocturnal ungulate of tropical America and southeast Asia having a heavy body and fleshy snout"]],[]]],
+  tardy: [["adjective",[["after the expected or usual time; delayed","a belated birthday card"]],["belated","late"]]],
+  tarot: [["noun",[["any of a set of (usually 78) cards that include 22 cards representing virtues and vices and death and fortune etc.; used for playing card games and for divination by fortunetellers"]],["tarot card"]]],
+  taste: [["noun",[["the sensation that results when taste buds in the tongue and throat convey information about the chemical composition of a soluble stimulus","the candy left him with a bad taste"],["a strong liking","my own preference is for good literature"],["delicate discrimination (especially of aesthetic values)","arrogance and lack of taste contributed to his rapid success"]],["taste sensation","gustatory sensation","taste perception","gustatory perception","preference"]],["verb",[["have flavor; taste of something"],["perceive by the sense of taste","Can you taste the garlic?"],["take a sample of","Try these new crackers"]],["savor","savour","sample","try","try out"]]],
+  tasty: [["adjective",[["pleasing to the sense of taste","a tasty morsel"]],[]]],
+  tatty: [["adjective",[["showing signs of wear and tear","a ratty old overcoat"],["tastelessly showy","a flash car"]],["moth-eaten","ratty","shabby","brassy","cheap"]]],
+  taunt: [["noun",[["aggravation by deriding or mocking or criticizing"]],["twit","taunting"]],["verb",[["harass with persistent criticism or carping","The children teased the new teacher"]],["tease","razz","rag","cod","tantalize"]]],
+  tawny: [["adjective",[["of a light brown to brownish orange color; the color of tanned leather"]],["tawny-brown"]]],
+  teach: [["verb",[["impart skills or knowledge to","I taught them French"],["accustom gradually to some action or attitude","The child is taught to obey her parents"]],["learn","instruct"]],["noun",[["an English pirate who operated in the Caribbean and off the Atlantic coast of North America (died in 1718)"]],[]]],
+  teary: [["adjective",[["with eyes full of tears"]],["teary-eyed","watery-eyed"]]],
+  tease: [["verb",[["annoy persistently","The children teased the boy because of his stammer"],["harass with persistent criticism or carping","The children teased the new teacher"],["to arouse hope, desire, or curiosity without satisfying them","The advertisement is intended to tease the customers"]],["badger","pester","bug","beleaguer","razz"]],["noun",[["someone given to teasing (as by mocking or stirring curiosity)"],["a seductive woman who uses her sex appeal to exploit men"],["the act of harassing someone playfully or maliciously (especially by ridicule); provoking someone with persistent annoyances","he ignored their teases"]],["teaser","annoyer","vexer","coquette","flirt"]]],
+  teddy: [["noun",[["plaything consisting of a child's toy bear (usually plush and stuffed with soft materials)"],["a woman's sleeveless undergarment"]],["teddy bear","chemise","shimmy","shift","slip"]]],
+  teeth: [["noun",[["the kind and number and arrangement of teeth (collectively) in a person or animal"]],["dentition"]]],
+  tempo: [["noun",[["(music) the speed at which a composition is to be played"],["the rate of some repeating event"]],["pacing","pace"]]],
+  tenet: [["noun",[["a religious doctrine that is proclaimed as true without proof"]],["dogma"]]],
+  tenor: [["noun",[["the adult male singing voice above baritone"],["the pitch range of the highest male voice"],["an adult male with a tenor voice"]],["tenor voice"]],["adjective",[["(of a musical instrument) intermediate between alto and baritone or bass","a tenor sax"],["of or close in range to the highest natural adult male voice","tenor voice"]],[]]],
+  tense: [["noun",[["a grammatical category of verbs used to express distinctions of time"]],[]],["verb",[["become stretched or tense or taut","the bodybuilder's neck muscles tensed"],["increase the tension on","alternately relax and tense your calf muscle"],["become tense, nervous, or uneasy","He tensed up when he saw his opponent enter the room"]],["strain","tense up"]],["adjective",[["in or of a state of physical or nervous tension"],["pronounced with relatively tense tongue muscles (e.g., the vowel sound in `beat')"],["taut or rigid; stretched tight","tense piano strings"]],[]]],
+  tenth: [["noun",[["a tenth part; one part in ten equal parts"],["position ten in a countable series of things"]],["one-tenth","tenth part","ten percent"]],["adjective",[["coming next after the ninth and just before the eleventh in position"]],["10th"]]],
+  tepee: [["noun",[["a Native American tent; usually of conical shape"]],["tipi","teepee"]]],
+  tepid: [["adjective",[["moderately warm","he hates lukewarm coffee"],["feeling or showing little interest or enthusiasm","a halfhearted effort"]],["lukewarm","halfhearted","half-hearted"]]],
+  terse: [["adjective",[["brief and to the point; effectively cut short","a crisp retort"]],["crisp","curt","laconic"]]],
+  testy: [["adjective",[["easily irritated or annoyed","an incorrigibly fractious young man"]],["cranky","fractious","irritable","nettlesome","peevish"]]],
+  thank: [["verb",[["express gratitude or show appreciation to"]],["give thanks"]]],
+  theft: [["noun",[["the act of taking something from someone unlawfully","the thieving is awful at Kennedy International"]],["larceny","thievery","thieving","stealing"]]],
+  theme: [["noun",[["the subject matter of a conversation or discussion","he didn't want to discuss that subject"],["a unifying idea that is a recurrent element in literary or artistic work","it was the usual `boy gets girl' theme"],["(music) melodic subject of a musical composition","the theme is announced in the first measures"]],["subject","topic","motif","melodic theme","musical theme"]],["verb",[["provide with a particular theme or motive","the restaurant often themes its menus"]],[]]],
+  there: [["adverb",[["in or at that place or location","they have lived there for years"],["in that matter; in that respect; on that point","I agree with you there"],["to or toward that place; away from the speaker","go there around noon!"]],["thither"]],["noun",[["a location other than here; that place","you can take it from there"]],[]]],
+  theta: [["noun",[["the 8th letter of the Greek alphabet"]],[]]],
+  thick: [["adjective",[["not thin; of a specific thickness or of relatively great extent from one surface to the opposite usually in the smallest of the three solid dimensions","an inch thick"],["having component parts closely crowded together","a compact shopping center"],["relatively dense in consistency","thick cream"]],[]],["noun",[["the location of something surrounded by other things","in the midst of the crowd"]],["midst"]],["adverb",[["with a thick consistency","the blood was flowing thick"],["in quick succession","misfortunes come fast and thick"]],["thickly"]]],
+  thief: [["noun",[["a criminal who takes property belonging to someone else with the intention of keeping it or selling it"]],["stealer"]]],
+  thigh: [["noun",[["the part of the leg between the hip and the knee"],["the upper joint of the leg of a fowl"]],["second joint"]]],
+  thing: [["noun",[["a special situation","this thing has got to end"],["an action","how could you do such a thing?"],["a special abstraction","a thing of the spirit"]],[]]],
+  think: [["verb",[["judge or regard; look upon; judge","I think he is very smart"],["expect, believe, or suppose","I imagine she earned a lot of money with her new novel"],["use or exercise the mind or one's power of reason in order to make inferences, decisions, or arrive at a solution or judgments","I've been thinking all day and getting nowhere"]],["believe","consider","conceive","opine","suppose"]],["noun",[["an instance of deliberate thinking","I need to give it a good think"]],[]]],
+  third: [["noun",[["one of three equal parts of a divisible whole","it contains approximately a third of the minimum daily requirement"],["the fielding position of the player on a baseball team who is stationed near the third of the bases in the infield (counting counterclockwise from home plate)","he is playing third"],["following the second position in an ordering or series","a distant third"]],["one-third","tierce","third base"]],["adjective",[["coming next after the second and just before the fourth in position"]],["3rd","tertiary"]],["adverb",[["in the third place","third we must consider unemployment"]],["thirdly"]]],
+  thong: [["noun",[["leather strip that forms the flexible part of a whip"],["underpants resembling a G-string; worn by women especially under very tight pants","she wore thongs in her quest for the callipygian ideal"],["a thin strip of leather; often used to lash things together"]],["lash"]]],
+  thorn: [["noun",[["something that causes irritation and annoyance","he's a thorn in my flesh"],["a small sharp-pointed tip resembling a spike on a stem or leaf"],["a Germanic character of runic origin"]],["irritant","spine","prickle","pricker","sticker"]]],
+  three: [["noun",[["the cardinal number that is the sum of one and one and one"],["one of four playing cards in a deck having three pips"]],["3","trio","threesome","tierce","leash"]],["adjective",[["being one more than two"]],["3","iii"]]],
+  throb: [["verb",[["pulsate or pound with abnormal force","my head is throbbing"],["expand and contract rhythmically; beat rhythmically","The baby's heart was pulsating again after the surgeon massaged it"],["tremble convulsively, as from fear or excitement"]],["pulsate","pulse","shudder","shiver","thrill"]],["noun",[["a deep pulsating type of pain"],["an instance of rapid strong pulsation (of the heart)","he felt a throbbing in his head"]],["throbbing","pounding"]]],
+  throw: [["verb",[["propel through the air","throw a frisbee"],["move violently, energetically, or carelessly","She threw herself forwards"],["get rid of","he shed his image as a pushy boss"]],["shed","cast","cast off","shake off","throw off"]],["noun",[["the act of throwing (propelling something with a rapid movement of the arm and wrist)","the catcher made a good throw to second base"],["a single chance or instance","he couldn't afford $50 a throw"],["the maximum movement available to a pivoted or reciprocating piece by a cam"]],["stroke","cam stroke"]]],
+  thrum: [["noun",[["a thrumming sound","he could hear the thrum of a banjo"]],[]],["verb",[["sound with a monotonous hum"],["sound the strings of (a stringed instrument)","strum a guitar"],["make a rhythmic sound","Rain drummed against the windshield"]],["hum","strum","drum","beat"]]],
+  thumb: [["noun",[["the thick short innermost digit of the forelimb"],["the part of a glove that provides a covering for the thumb"],["a convex molding having a cross section in the form of a quarter of a circle or of an ellipse"]],["pollex","ovolo","quarter round"]],["verb",[["travel by getting free rides from motorists"],["look through a book or other written material","He thumbed through the report"],["feel or handle with the fingers","finger the binding of the book"]],["hitchhike","hitch","flick","flip","riffle"]]],
+  thump: [["verb",[["move rhythmically","Her heart was beating fast"],["make a dull sound","the knocker thudded against the front door"],["hit hard with the hand, fist, or some heavy instrument","the salesman pounded the door knocker"]],["beat","pound","thud","poke"]],["noun",[["a heavy dull sound (as made by impact of heavy objects)"],["a heavy blow with the hand"]],["thumping","clump","clunk","thud"]]],
+  thyme: [["noun",[["any of various mints of the genus Thymus"],["leaves can be used as seasoning for almost any meat and stews and stuffings and vegetables"]],[]]],
+  tiara: [["noun",[["a jeweled headdress worn by women on formal occasions"]],[]]],
+  tibia: [["noun",[["the inner and thicker of the two bones of the human leg between the knee and ankle"]],["shinbone","shin bone","shin"]]],
+  tidal: [["adjective",[["of or relating to or caused by tides","tidal wave"]],[]]],
+  tiger: [["noun",[["a fierce or audacious person","he's a tiger on the tennis court"],["large feline of forests in most of Asia having a tawny coat with black stripes; endangered"]],[]]],
+  tight: [["adjective",[["closely constrained or constricted or constricting","tight skirts"],["pulled or drawn tight","taut sails"],["set so close together as to be invulnerable to penetration","in tight formation"]],["taut"]],["adverb",[["firmly or closely","held fast to the rope"],["in an attentive manner","he remained close on his guard"]],["fast","close","closely"]]],
+  tilde: [["noun",[["a diacritical mark (~) placed over the letter n in Spanish to indicate a palatal nasal sound or over a vowel in Portuguese to indicate nasalization"]],[]]],
+  timer: [["noun",[["a timepiece that measures a time interval and signals its end"],["(sports) an official who keeps track of the time elapsed"],["a regulator that activates or deactivates a mechanism at set times"]],["timekeeper"]]],
+  timid: [["adjective",[["showing fear and lack of confidence"],["lacking self-confidence","stood in the doorway diffident and abashed"],["lacking conviction or boldness or courage","faint heart ne'er won fair lady"]],["diffident","shy","unsure","faint","fainthearted"]],["noun",[["people who are fearful and cautious","whitewater rafting is not for the timid"]],["cautious"]]],
+  tipsy: [["adjective",[["slightly intoxicated"],["unstable and prone to tip as if intoxicated","a tipsy boat"]],["potty","tiddly"]]],
+  titan: [["noun",[["a person of exceptional importance and reputation"],["(Greek mythology) any of the primordial giant gods who ruled the Earth until overthrown by Zeus; the Titans were offspring of Uranus (Heaven) and Gaea (Earth)"],["the largest of the satellites of Saturn; has a hazy nitrogen atmosphere"]],["colossus","behemoth","giant","heavyweight"]]],
+  tithe: [["noun",[["a levy of one tenth of something"],["an offering of a tenth part of some personal income"]],[]],["verb",[["exact a tithe from","The church was tithed"],["levy a tithe on (produce or a crop)","The wool was tithed"],["pay one tenth of; pay tithes on, especially to the church","He tithed his income to the Church"]],[]]],
+  title: [["noun",[["a heading that names a statute or legislative bill; may give a brief summary of the matters it deals with","Title 8 provided federal help for schools"],["the name of a work of art or literary composition etc.","he looked for books with the word `jazz' in the title"],["a general or descriptive heading for a section of a written work","the novel had chapter titles"]],["statute title","rubric"]],["verb",[["give a title to"],["designate by an identifying term","They styled their nation `The Confederate States'"]],["entitle","style"]]],
+  toast: [["verb",[["make brown and crisp by heating","toast bread"],["propose a toast to","Let us toast the birthday girl!"]],["crispen","crisp","drink","pledge","salute"]],["noun",[["slices of bread that have been toasted"],["a celebrity who receives much acclaim and attention","he was the toast of the town"],["a person in desperate straits; someone doomed","I'm a goner if this plan doesn't work"]],["goner"]]],
+  today: [["noun",[["the present time or age","the world of today"],["the day that includes the present moment (as opposed to yesterday or tomorrow)","Today is beautiful"]],[]],["adverb",[["in these times","it is solely by their language that the upper classes nowadays are distinguished"],["on this day as distinct from yesterday or tomorrow","I can't meet with you today"]],["nowadays","now"]]],
+  toddy: [["noun",[["a mixed drink made of liquor and water with sugar and spices and served hot"]],["hot toddy"]]],
+  token: [["noun",[["an individual instance of a type of symbol","the word `error' contains three tokens of `r'"],["something serving as a sign of something else"],["a metal or plastic disk that can be redeemed or used in designated slot machines"]],["item"]],["adjective",[["insignificantly small; a matter of form only (`tokenish' is informal)","the fee was nominal"]],["nominal","tokenish"]]],
+  tonal: [["adjective",[["employing variations in pitch to distinguish meanings of otherwise similar words","Chinese is a tonal language"],["having tonality; i.e. tones and chords organized in relation to one tone such as a keynote or tonic"]],["tonic"]]],
+  tonga: [["noun",[["a monarchy on a Polynesian archipelago in the South Pacific; achieved independence from the United Kingdom in 1970"],["the language of the Tongan people of south central Africa (Zambia and Rhodesia)"]],[]]],
+  tonic: [["noun",[["lime- or lemon-flavored carbonated water containing quinine"],["a sweet drink containing carbonated water and flavoring","in New England they call sodas tonics"],["(music) the first note of a diatonic scale"]],["tonic water","quinine water","pop","soda","soda pop"]],["adjective",[["of or relating to or producing normal tone or tonus in muscles or tissue","a tonic reflex"],["employing variations in pitch to distinguish meanings of otherwise similar words","Chinese is a tonal language"],["(used of syllables) bearing the principle stress, usually accompanied by a change in pitch","a tonic syllables carries the main stress in a word"]],["tonal","accented"]]],
+  tooth: [["noun",[["hard bonelike structures in the jaws of vertebrates; used for biting and chewing or for attack and defense"],["something resembling the tooth of an animal"],["toothlike structure in invertebrates found in the mouth or alimentary canal or on a shell"]],[]]],
+  topaz: [["noun",[["a yellow quartz"],["a mineral (fluosilicate of aluminum) that occurs in crystals of various colors and is used as a gemstone"],["a light brown the color of topaz"]],["false topaz","common topaz","tan"]]],
+  topic: [["noun",[["the subject matter of a conversation or discussion","he didn't want to discuss that subject"],["some situation or event that is thought about","he kept drifting off the topic"]],["subject","theme","issue","matter"]]],
+  torch: [["noun",[["a light usually carried in the hand; consists of some flammable substance"],["tall-stalked very woolly mullein with densely packed yellow flowers; ancient Greeks and Romans dipped the stalks in tallow for funeral torches"],["a small portable battery-powered electric lamp"]],["common mullein","great mullein","flannel mullein","woolly mullein","flashlight"]],["verb",[["burn maliciously, as by arson","The madman torched the barns"]],[]]],
+  torso: [["noun",[["the body excluding the head and neck and limbs","they moved their arms and legs and bodies"]],["trunk","body"]]],
+  torus: [["noun",[["a ring-shaped surface generated by rotating a circle around an axis that does not intersect the circle"],["commonly the lowest molding at the base of a column"]],["toroid","tore"]]],
+  total: [["noun",[["the whole amount"],["a quantity obtained by the addition of a group of numbers"]],["sum","totality","aggregate","amount"]],["verb",[["add up in number or quantity","The bills amounted to $2,000"],["determine the sum of","Add all the people in this town to those of the neighboring town"],["damage beyond the point of repair","My son totaled our new car"]],["number","add up","come","amount","tot"]],["adjective",[["constituting the full quantity or extent; complete","an entire town devastated by an earthquake"],["complete in extent or degree and in every particular","a full game"]],["entire","full"]]],
+  totem: [["noun",[["a clan or tribe identified by their kinship to a common totemic object"],["emblem consisting of an object such as an animal or plant; serves as the symbol of a family or clan (especially among American Indians)"]],[]]],
+  touch: [["verb",[["make physical contact with, come in contact with","Touch the stone for good luck"],["perceive via the tactile sense","Helen Keller felt the physical world by touching people and objects around her"],["affect emotionally","A stirring movie"]],["stir"]],["noun",[["the event of something coming in contact with the body","he longed for the touch of her hand"],["the faculty by which external objects or forces are perceived through contact with the body (especially the hands)","only sight and touch enable us to locate objects in the space around us"],["a suggestion of some quality","there was a touch of sarcasm in his tone"]],["touching","sense of touch","skin senses","touch modality","cutaneous senses"]]],
+  tough: [["adjective",[["not given to gentleness or sentimentality","a tough character"],["very difficult; severely testing stamina or resolution","a rugged competitive examination"],["physically toughened","the tough bottoms of his feet"]],["rugged","toughened"]],["noun",[["someone who learned to fight in the streets rather than being formally trained in the sport of boxing"],["an aggressive and violent young criminal"],["a cruel and brutal fellow"]],["street fighter","hood","hoodlum","goon","punk"]]],
+  towel: [["noun",[["a rectangular piece of absorbent cloth (or paper) for drying or wiping"]],[]],["verb",[["wipe with a towel","towel your hair dry"]],[]]],
+  tower: [["noun",[["a structure taller than its diameter; can stand alone or be attached to a larger building"],["anything that approximates the shape of a column or tower","the test tube held a column of white powder"],["a powerful small boat designed to pull or push larger ships"]],["column","pillar","tugboat","tug","towboat"]],["verb",[["appear very large or occupy a commanding position","The huge sculpture predominates over the fountain"]],["loom","predominate","hulk"]]],
+  toxic: [["adjective",[["of or relating to or caused by a toxin or poison","suffering from exposure to toxic substances"]],[]]],
+  toxin: [["noun",[["a poisonous substance produced during the metabolism and growth of certain microorganisms and some higher plant and animal species"]],[]]],
+  trace: [["noun",[["a just detectable amount","he speaks French with a trace of an accent"],["an indication that something has been present","there wasn't a trace of evidence for the claim"],["a suggestion of some quality","there was a touch of sarcasm in his tone"]],["hint","tint","suggestion","vestige","tincture"]],["verb",[["follow, discover, or ascertain the course of development of something","We must follow closely the economic development is Cuba"],["make a mark or lines on a surface","draw a line"],["to go back over again","we retraced the route we took last summer"]],["follow","draw","line","describe","delineate"]]],
+  track: [["noun",[["a line or route along which something travels or moves","the hurricane demolished houses in its path"],["evidence pointing to a possible solution","the police are following a promising lead"],["a pair of parallel rails providing a runway for wheels"]],["path","course","lead","trail"]],["verb",[["carry on the feet and deposit","track mud into the house"],["observe or plot the moving path of something","track a missile"],["go after with the intent to catch","The policeman chased the mugger down the alley"]],["chase","chase after","trail","tail","tag"]]],
+  tract: [["noun",[["an extended area of land"],["a system of body parts that together serve some particular purpose"],["a brief treatise on a subject of interest; published in the form of a booklet"]],["piece of land","piece of ground","parcel of land","parcel","pamphlet"]]],
+  trade: [["noun",[["the commercial exchange (buying and selling on domestic or international markets) of goods and services","Venice was an important center of trade with the East"],["the skilled practice of a practical occupation","he learned his trade as an apprentice"],["the business given to a commercial establishment by its customers","even before noon there was a considerable patronage"]],["craft","patronage"]],["verb",[["engage in the trade of","he is merchandising telephone sets"],["turn in as payment or part payment for a purchase","trade in an old car for a new one"],["be traded at a certain price or under certain conditions","The stock traded around $20 a share"]],["merchandise","trade in"]]],
+  trail: [["noun",[["a track or mark left by something that has passed","there as a trail of blood"],["a path or track roughly blazed through wild or hilly country"],["evidence pointing to a possible solution","the police are following a promising lead"]],["lead","track"]],["verb",[["to lag or linger behind","But in so many other areas we still are dragging"],["go after with the intent to catch","The policeman chased the mugger down the alley"],["move, proceed, or walk draggingly or slowly","John trailed behind his class mates"]],["drag","get behind","hang back","drop behind","drop back"]]],
+  train: [["verb",[["create by training and teaching","The old master is training world-class violinists"],["undergo training or instruction in preparation for a particular role, function, or profession","She is training to be a teacher"],["develop (a child's or animal's) behavior by instruction and practice; especially to teach self-control","Parents must discipline their children"]],["develop","prepare","educate","discipline","check"]],["noun",[["public transport provided by a line of railway cars coupled together and drawn by a locomotive","express trains don't stop at Princeton Junction"],["a sequentially ordered set of things or events or ideas in which each successive member is related to the preceding","a string of islands"],["a procession (of wagons or mules or camels) traveling together in single file","we were part of a caravan of almost a thousand camels"]],["railroad train","string","caravan","wagon train"]]],
+  trait: [["noun",[["a distinguishing feature of your personal nature"]],[]]],
+  tramp: [["noun",[["a vagrant","a homeless tramp"],["a person who engages freely in promiscuous sex"],["a foot traveler; someone who goes on an extended walk (for pleasure)"]],["hobo","bum","swinger","hiker","tramper"]],["verb",[["travel on foot, especially on a walking expedition","We went tramping about the state of Colorado"],["walk heavily and firmly, as when weary, or through mud","Mules plodded in a circle around a grindstone"],["cross on foot","We had to tramp the creeks"]],["slog","footslog","plod","trudge","pad"]]],
+  trash: [["noun",[["worthless material that is to be disposed of"],["worthless people"],["nonsensical talk or writing"]],["rubbish","scrap","scum","folderol","tripe"]],["verb",[["dispose of (something useless or old)","trash these old chairs"],["express a totally negative opinion of","The critics panned the performance"]],["junk","scrap","pan","tear apart"]]],
+  trawl: [["noun",[["a long fishing line with many shorter lines and hooks attached to it (usually suspended between buoys)"],["a conical fishnet dragged through the water at great depths"]],["trawl line","spiller","setline","trotline","dragnet"]],["verb",[["fish with trawlers"]],[]]],
+  tread: [["verb",[["put down or press the foot, place the foot","For fools rush in where angels fear to tread"],["tread or stomp heavily or roughly","The soldiers trampled across the fields"],["crush as if by treading on","tread grapes to make wine"]],["step","trample"]],["noun",[["a step in walking or running"],["the grooved surface of a pneumatic tire"],["the part (as of a wheel or shoe) that makes contact with the ground"]],["pace","stride"]]],
+  treat: [["verb",[["interact in a certain way","Do right by her"],["subject to a process or treatment, with the aim of readying for some purpose, improving, or remedying a condition","process cheese"],["provide treatment for","The doctor treated my broken leg"]],["handle","do by","process","care for"]],["noun",[["something considered choice to eat"],["an occurrence that causes special pleasure or delight"]],["dainty","delicacy","goody","kickshaw"]]],
+  trend: [["noun",[["a general direction in which something tends to move","the shoreward tendency of the current"],["general line of orientation","the river takes a southern course"],["a general tendency to change (as of opinion)","not openly liberal but that is the trend of the book"]],["tendency","course","drift","movement"]],["verb",[["turn sharply; change direction abruptly","The car cut to the left at the intersection"]],["swerve","sheer","curve","veer","slue"]]],
+  triad: [["noun",[["the cardinal number that is the sum of one and one and one"],["a set of three similar things considered as a unit"],["three people considered as a unit"]],["three","3","trio","threesome","tierce"]]],
+  trial: [["noun",[["the act of testing something","in the experimental trials the amount of carbon was measured separately"],["trying something to find out about it","a sample for ten days free trial"],["the act of undergoing testing","he survived the great test of battle"]],["test","run","trial run","tryout"]]],
+  tribe: [["noun",[["a social division of (usually preliterate) people"],["a federation (as of American Indians)"],["(biology) a taxonomic category between a genus and a subfamily"]],["folk","federation of tribes"]]],
+  trice: [["noun",[["a very short time (as the time it takes the eye to blink or the heart to beat)","if I had the chance I'd do it in a flash"]],["blink of an eye","flash","heartbeat","instant","jiffy"]],["verb",[["raise with a line","trice a window shade"],["hoist up or in and lash or secure with a small rope"]],["trice up"]]],
+  trick: [["noun",[["a cunning or deceitful action or device","he played a trick on me"],["a period of work or duty"],["an attempt to get you to do something foolish or imprudent","that offer was a dirty trick"]],["fast one"]],["verb",[["deceive somebody","We tricked the teacher into thinking that class would be cancelled next week"]],["flim-flam","play a joke on","play tricks","fob","fox"]]],
+  tried: [["adjective",[["tested and proved useful or correct","a tested method"],["tested and proved to be reliable"]],["tested","well-tried","time-tested","tried and true"]]],
+  tripe: [["noun",[["lining of the stomach of a ruminant (especially a bovine) used as food"],["nonsensical talk or writing"]],["folderol","rubbish","trumpery","trash","wish-wash"]]],
+  trite: [["adjective",[["repeated too often; overfamiliar through overuse","bromidic sermons"]],["banal","commonplace","hackneyed","old-hat","shopworn"]]],
+  troll: [["noun",[["(Scandanavian folklore) a supernatural creature (either a dwarf or a giant) that is supposed to live in caves or in the mountains"],["a partsong in which voices follow each other; one voice starts and others join in one after another until all are singing different parts of the song at the same time","they enjoyed singing rounds"],["a fisherman's lure that is used in trolling","he used a spinner as his troll"]],["round"]],["verb",[["circulate, move around"],["cause to move round and round","The child trolled her hoop"],["sing the parts of (a round) in succession"]],[]]],
+  troop: [["noun",[["a group of soldiers"],["a cavalry unit corresponding to an infantry company"],["a unit of Girl or Boy Scouts"]],["scout troop","scout group"]],["verb",[["march in a procession","the veterans paraded down the street"],["move or march as if in a crowd","They children trooped into the room"]],["parade","promenade"]]],
+  trope: [["noun",[["language used in a figurative or nonliteral sense"]],["figure of speech","figure","image"]]],
+  trout: [["noun",[["flesh of any of several primarily freshwater game and food fishes"],["any of various game and food fishes of cool fresh waters mostly smaller than typical salmons"]],[]]],
+  trove: [["noun",[["treasure of unknown ownership found hidden (usually in the earth)"]],["treasure trove"]]],
+  truce: [["noun",[["a state of peace agreed to between opponents so they can discuss peace terms"]],["armistice","cease-fire"]]],
+  truck: [["noun",[["an automotive vehicle suitable for hauling"],["a handcart that has a frame with two low wheels and a ledge at the bottom and handles at the top; used to move crates or other heavy objects"]],["motortruck","hand truck"]],["verb",[["convey (goods etc.) by truck","truck fresh vegetables across the mountains"]],[]]],
+  truly: [["adverb",[["in accordance with truth or fact or reality","she was now truly American"],["by right","baseball rightfully is the nation's pastime"],["with sincerity; without pretense","she praised him sincerely for his victory"]],["genuinely","really","rightfully","sincerely","unfeignedly"]]],
+  trump: [["noun",[["a playing card in the suit that has been declared trumps","the ace of trumps is a sure winner"],["(card games) the suit that has been declared to rank above all other suits for the duration of the hand","clubs were declared trumps"],["a brass musical instrument with a brilliant tone; has a narrow tube and a flared bell and is played by means of valves"]],["trump card","cornet","horn","trumpet"]],["verb",[["produce a sound as if from a trumpet"],["get the better of","the goal was to best the competition"],["play a trump"]],["outdo","outflank","best","scoop","ruff"]]],
+  trunk: [["noun",[["the main stem of a tree; usually covered with bark; the bole is usually the part that is commercially useful for lumber"],["luggage consisting of a large strong case used when traveling or for storage"],["the body excluding the head and neck and limbs","they moved their arms and legs and bodies"]],["tree trunk","bole","torso","body"]]],
+  truss: [["noun",[["(medicine) a bandage consisting of a pad and belt; worn to hold a hernia in place by pressure"],["a framework of beams (rafters, posts, struts) forming a rigid structure that supports a roof or bridge or other structure"],["(architecture) a triangular bracket of brick or stone (usually of slight extent)"]],["corbel"]],["verb",[["tie the wings and legs of a bird before cooking it"],["secure with or as if with ropes","tie down the prisoners"],["support structurally","truss the roofs"]],["tie down","tie up","bind"]]],
+  trust: [["noun",[["something (as property) held by one party (the trustee) for the benefit of another (the beneficiary)","he is the beneficiary of a generous trust set up by his father"],["certainty based on past experience","he wrote the paper with considerable reliance on the work of other scientists"],["the trait of believing in the honesty and reliability of others","the experience destroyed his trust and personal dignity"]],["reliance","trustingness","trustfulness"]],["verb",[["have confidence or faith in","We can trust in our government"],["allow without fear"],["be confident about something","I believe that he will come back from the war"]],["believe"]]],
+  truth: [["noun",[["a fact that has been verified","at last he knew the truth"],["conformity to reality or actuality","they debated the truth of the proposition"],["a true statement","he told the truth"]],["the true","verity","trueness","true statement"]]],
+  tryst: [["noun",[["a date; usually with a member of the opposite sex"],["a secret rendezvous (especially between lovers)"]],["rendezvous","assignation"]]],
+  tubal: [["adjective",[["of or relating to occurring in a tube such as e.g. the Fallopian tube or Eustachian tube","tubal ligation"]],[]]],
+  tuber: [["noun",[["a fleshy underground stem or root serving for reproductive and food storage"],["type genus of the Tuberaceae: fungi whose fruiting bodies are typically truffles"]],[]]],
+  tulip: [["noun",[["any of numerous perennial bulbous herbs having linear or broadly lanceolate leaves and usually a single showy flower"]],[]]],
+  tulle: [["noun",[["a fine (often starched) net used for veils or tutus or gowns"]],[]]],
+  tumor: [["noun",[["an abnormal new mass of tissue that serves no purpose"]],["tumour","neoplasm"]]],
+  tunic: [["noun",[["an enveloping or covering membrane or layer of body tissue"],["any of a variety of loose fitting cloaks extending to the hips or knees"]],["tunica","adventitia"]]],
+  tutor: [["noun",[["a person who gives private instruction (as in singing, acting, etc.)"]],["coach","private instructor"]],["verb",[["be a tutor to someone; give individual instruction","She tutored me in Spanish"],["act as a guardian to someone"]],[]]],
+  twang: [["noun",[["a sharp vibrating sound (as of a plucked string)"],["exaggerated nasality in speech (as in some regional dialects)"]],["nasal twang"]],["verb",[["cause to sound with a twang","He twanged the guitar string"],["sound with a twang","the bowstring was twanging"],["twitch or throb with pain"]],[]]],
+  tweak: [["noun",[["a squeeze with the fingers"]],["pinch"]],["verb",[["pinch or squeeze sharply"],["pull or pull out sharply","pluck the flowers off the bush"],["adjust finely","fine-tune the engine"]],["pluck","pull off","pick off","fine-tune"]]],
+  tweed: [["noun",[["thick woolen fabric used for clothing; originated in Scotland"],["(usually in the plural) trousers made of flannel or gabardine or tweed or white cloth"]],["flannel","gabardine","white"]]],
+  tweet: [["noun",[["a weak chirping sound as of a small bird"]],[]],["verb",[["make a weak, chirping sound","the small bird was tweeting in the tree"],["squeeze tightly between the fingers","He pinched her behind"]],["twirp","pinch","squeeze","twinge","nip"]]],
+  twice: [["adverb",[["two times","I called her twice"],["to double the degree","she was doubly rewarded"]],["doubly","double"]]],
+  twine: [["verb",[["spin, wind, or twist together","intertwine the ribbons"],["arrange or or coil around","roll your hair around your finger"],["make by twisting together or intertwining","twine a rope"]],["intertwine","entwine","enlace","interlace","lace"]],["noun",[["a lightweight cord"]],["string"]]],
+  twirl: [["verb",[["turn in a twisting or spinning motion","The leaves swirled in the autumn wind"],["cause to spin","spin a coin"]],["swirl","twiddle","whirl","birl","spin"]],["noun",[["a sharp bend in a line produced when a line having a loop is pulled tight"],["the act of rotating rapidly","he gave the crank a spin"]],["kink","twist","spin","twisting","whirl"]]],
+  twist: [["verb",[["to move in a twisting or contorted motion, (especially when struggling)","The prisoner writhed in discomfort"],["cause (a plastic object) to assume a crooked or angular form","bend the rod"],["turn in the opposite direction","twist one's head"]],["writhe","wrestle","wriggle","worm","squirm"]],["noun",[["an unforeseen development","events suddenly took an awkward turn"],["an interpretation of a text or action","they put an unsympathetic construction on his conduct"],["any clever maneuver","he would stoop to any device to win a point"]],["turn","turn of events","construction","device","gimmick"]]],
+  tying: [["noun",[["the act of tying or binding things together"]],["ligature"]]],
+  udder: [["noun",[["mammary gland of bovids (cows and sheep and goats)"]],["bag"]]],
+  ulcer: [["noun",[["a circumscribed inflammatory and often suppurating lesion on the skin or an internal mucous surface resulting in necrosis of tissue"]],["ulceration"]]],
+  ultra: [["adjective",[["(used of opinions and actions) far beyond the norm","extremist political views"]],["extremist","radical"]]],
+  umbra: [["noun",[["a region of complete shadow resulting from total obstruction of light"]],[]]],
+  uncle: [["noun",[["the brother of your father or mother; the husband of your aunt"],["a source of help and advice and encouragement","he played uncle to lonely students"]],[]]],
+  uncut: [["adjective",[["not trimmed","shaggy untrimmed locks"],["(used of grass or vegetation) not cut down with a hand implement or machine","uncut grass"],["not shaped by cutting or trimming","an uncut diamond"]],["untrimmed","unmown","rough"]]],
+  under: [["adjective",[["located below or beneath something else","nether garments"],["lower in rank, power, or authority","an under secretary"]],["nether"]],["adverb",[["down to defeat, death, or ruin","their competitors went under"],["through a range downward","children six and under will be admitted free"],["into unconsciousness","this will put the patient under"]],[]]],
+  undue: [["adjective",[["not yet payable","an undue loan"],["not appropriate or proper (or even legal) in the circumstances","undue influence"],["lacking justification or authorization","desire for undue private profit"]],["unjustified","unwarranted"]]],
+  unfed: [["adjective",[["not fed"],["not given support","a grudge that remained unfed"]],[]]],
+  unfit: [["adjective",[["below the required standards for a purpose","an unfit parent"],["not in good physical or mental condition; out of condition","fat and very unfit"],["physically unsound or diseased","has a bad back"]],["bad","unsound"]],["verb",[["make unfit or unsuitable","Your income disqualifies you"]],["disqualify","indispose"]]],
+  unify: [["verb",[["become one","Germany unified officially in 1990"],["to bring or combine together or with something else","resourcefully he mingled music and dance"],["bring together for a common purpose or action or ideology or in a shared situation","the Democratic Patry platform united several splinter groups"]],["unite","merge","mix","mingle","commix"]]],
+  union: [["noun",[["an organization of employees formed to bargain with the employer","you have to join the union in order to get a job"],["the act of pairing a male and female for reproductive purposes","the casual couplings of adolescents"],["the state of being joined or united or linked","there is strength in union"]],["labor union","trade union","trades union","brotherhood","coupling"]],["adjective",[["of trade unions","the union movement"],["being of or having to do with the northern United States and those loyal to the Union during the American Civil War","Union soldiers"]],[]]],
+  unite: [["verb",[["act in concert or unite in a common purpose or belief"],["become one","Germany unified officially in 1990"],["have or possess in combination","she unites charm with a good business sense"]],["unify","merge","combine"]]],
+  unity: [["noun",[["an undivided or unbroken completeness or totality with nothing wanting","the integrity of the nervous system is required for normal development"],["the smallest whole number or a numeral representing this number","he has the one but will need a two and three to go with it"],["the quality of being united into one"]],["integrity","wholeness","one","1","ace"]]],
+  unlit: [["adjective",[["not set afire or burning","the table was bare, the candles unlighted"],["without illumination","came up the lightless stairs"]],["unlighted","lightless","unilluminated"]]],
+  untie: [["verb",[["undo the ties of","They untied the prisoner"],["cause to become loose","undo the shoelace"]],["unbrace","unlace","undo","loosen"]]],
+  unwed: [["adjective",[["of someone who has not been married","unwed mother"]],["unwedded"]]],
+  unzip: [["verb",[["open the zipper of","unzip the bag"]],[]]],
+  upper: [["adjective",[["the topmost one of two"],["higher in place or position","the upper bunk"],["superior in rank or accomplishment","the upper half of the class"]],[]],["noun",[["the higher of two berths"],["piece of leather or synthetic material that forms the part of a shoe or boot above the sole that encases the foot","Uppers come in many styles"],["a central nervous system stimulant that increases energy and decreases appetite; used to treat narcolepsy and some forms of depression"]],["upper berth","amphetamine","pep pill","speed"]]],
+  upset: [["verb",[["disturb the balance or stability of","The hostile talks upset the peaceful relations between the two countries"],["cause to lose one's composure"],["move deeply","This book upset me"]],["discompose","untune","disconcert","discomfit","disturb"]],["adjective",[["afflicted with or marked by anxious uneasiness or trouble or grief","too upset to say anything"],["thrown into a state of disarray or confusion","troops fleeing in broken ranks"],["used of an unexpected defeat of a team favored to win","the Bills' upset victory over the Houston Oilers"]],["disquieted","distressed","disturbed","worried","broken"]],["noun",[["an unhappy and worried mental state","there was too much anger and disturbance"],["the act of disturbing the mind or body","his carelessness could have caused an ecological upset"],["a physical condition in which there is a disturbance of normal functioning","the doctor prescribed some medicine for the disorder"]],["disturbance","perturbation","derangement","overthrow","disorder"]]],
+  urban: [["adjective",[["relating to or concerned with a city or densely populated area","urban sociology"],["located in or characteristic of a city or city life","urban property owners"]],[]]],
+  urine: [["noun",[["liquid excretory product","there was blood in his urine"]],["piss","pee","piddle","weewee","water"]]],
+  usage: [["noun",[["the act of using","he warned against the use of narcotic drugs"],["accepted or habitual practice"],["the customary manner in which a language (or a form of a language) is spoken or written","English usage"]],["use","utilization","utilisation","employment","exercise"]]],
+  usher: [["verb",[["take (someone) to their seats, as in theaters or auditoriums","The usher showed us to our seats"]],["show"]],["noun",[["an official stationed at the entrance of a courtroom or legislative chamber"],["someone employed to conduct others"],["Irish prelate who deduced from the Bible that Creation occurred in the year 4004 BC (1581-1656)"]],["doorkeeper","guide"]]],
+  using: [["noun",[["an act that exploits or victimizes someone (treats them unfairly)","capitalistic exploitation of the working class"]],["exploitation","victimization","victimisation"]]],
+  usual: [["adjective",[["occurring or encountered or experienced or observed frequently or in accordance with regular practice or procedure","grew the usual vegetables"],["commonly encountered","a common (or familiar) complaint"]],["common"]]],
+  usurp: [["verb",[["seize and take control without authority and possibly with force; take as one's right or possession","He assumed to himself the right to fill all positions in the town"],["take the place of","gloom had usurped mirth at the party after the news of the terrorist act broke"]],["assume","seize","take over","arrogate"]]],
+  utile: [["adjective",[["being of use or service","the girl felt motherly and useful"]],["useful"]]],
+  utter: [["verb",[["articulate; either verbally or with a cry, shout, or noise","She expressed her anger"],["express audibly; utter sounds (not necessarily words)","She let out a big heavy sigh"],["express in speech","She talks a lot of nonsense"]],["express","verbalize","verbalise","give tongue to","emit"]],["adjective",[["without qualification; used informally as (often pejorative) intensifiers","an arrant fool"],["complete and absolute","utter seriousness"]],["arrant","complete","consummate","double-dyed","everlasting"]]],
+  vague: [["adjective",[["not clearly expressed or understood","an obscure turn of phrase"],["not precisely limited, determined, or distinguished","an undefined term"],["lacking clarity or distinctness","a dim figure in the distance"]],["obscure","undefined","dim","faint","shadowy"]]],
+  valet: [["noun",[["a manservant who acts as a personal attendant to his employer","Jeeves was Bertie Wooster's man"]],["valet de chambre","gentleman","gentleman's gentleman","man"]],["verb",[["serve as a personal attendant to"]],[]]],
+  valid: [["adjective",[["well grounded in logic or truth or having legal force","a valid inference"],["still legally acceptable","the license is still valid"]],[]]],
+  valor: [["noun",[["the qualities of a hero or heroine; exceptional or heroic courage when facing danger (especially in battle)","he showed great heroism in battle"]],["heroism","gallantry","valour","valorousness","valiance"]]],
+  value: [["noun",[["a numerical quantity measured or assigned or computed","the value assigned was 16 milliseconds"],["the quality (positive or negative) that renders something desirable or valuable","the Shakespearean Shylock is of dubious value in the modern world"],["the amount (of money or goods or services) that is considered to be a fair equivalent for something else","he tried to estimate the value of the produce at normal prices"]],["economic value"]],["verb",[["fix or determine the value of; assign a value to","value the jewelry and art work in the estate"],["hold dear","I prize these old photographs"],["regard highly; think much of","I respect his judgement"]],["prize","treasure","appreciate","respect","esteem"]]],
+  valve: [["noun",[["a structure in a hollow organ (like the heart) with a flap to insure one-way flow of fluid through it"],["device in a brass wind instrument for varying the length of the air column to alter the pitch of a tone"],["control consisting of a mechanical device for controlling the flow of a fluid"]],[]]],
+  vapid: [["adjective",[["lacking taste or flavor or tang","a bland diet"],["lacking significance or liveliness or spirit or zest","a vapid conversation"]],["bland","flat","flavorless","flavourless","insipid"]]],
+  vapor: [["noun",[["a visible suspension in the air of particles of some substance"],["the process of becoming a vapor"]],["vapour","vaporization","vaporisation","evaporation"]]],
+  vault: [["noun",[["a burial chamber (usually underground)"],["a strongroom or compartment (often made of steel) for safekeeping of valuables"],["an arched brick or stone ceiling or roof"]],["burial vault","bank vault"]],["verb",[["jump across or leap over (an obstacle)"],["bound vigorously"]],["overleap"]]],
+  vaunt: [["noun",[["extravagant self-praise"]],[]],["verb",[["show off"]],["boast","tout","swash","shoot a line","brag"]]],
+  vegan: [["noun",[["a strict vegetarian; someone who eats no animal or dairy products at all"]],[]]],
+  venom: [["noun",[["toxin secreted by animals; secreted by certain snakes and poisonous insects (e.g., spiders and scorpions)"],["feeling a need to see others suffer"]],["malice","maliciousness","spite","spitefulness"]]],
+  venue: [["noun",[["the scene of any event or action (especially the place of a meeting)"],["in law: the jurisdiction where a trial will be held"]],["locale","locus"]]],
+  verge: [["noun",[["a region marking a boundary"],["the limit beyond which something happens or changes","on the verge of tears"],["a ceremonial or emblematic staff"]],["brink","threshold","scepter","sceptre","wand"]],["verb",[["border on; come close to","His behavior verges on the criminal"]],[]]],
+  verse: [["noun",[["literature in metrical form"],["a piece of poetry"],["a line of metrical text"]],["poetry","poesy","rhyme","verse line"]],["verb",[["compose verses or put into verse","He versified the ancient saga"],["familiarize through thorough study or experience","She versed herself in Roman archeology"]],["versify","poetize","poetise"]]],
+  verso: [["noun",[["left-hand page"],["the side of a coin or medal that does not bear the principal design"]],["reverse"]]],
+  verve: [["noun",[["an energetic style"]],["vitality"]]],
+  vicar: [["noun",[["a Roman Catholic priest who acts for another higher-ranking clergyman"],["(Episcopal Church) a clergyman in charge of a chapel"],["(Church of England) a clergyman appointed to act as priest of a parish"]],[]]],
+  video: [["noun",[["the visible part of a television transmission","they could still receive the sound but the picture was gone"],["a recording of both the visual and audible components (especially one containing a recording of a movie or television program)"],["(computer science) the appearance of text and graphics on a video display"]],["picture","video recording"]]],
+  vigil: [["noun",[["a period of sleeplessness"],["the rite of staying awake for devotional purposes (especially on the eve of a religious festival)"],["a purposeful surveillance to guard or observe"]],["watch"]]],
+  vigor: [["noun",[["forceful exertion","he plays tennis with great energy"],["active strength of body or mind"],["an imaginative lively style (especially style of writing)","his writing conveys great energy"]],["energy","vigour","zip","dynamism","heartiness"]]],
+  villa: [["noun",[["detached or semidetached suburban house"],["country house in ancient Rome consisting of residential quarters and farm buildings around a courtyard"],["pretentious and luxurious country residence with extensive grounds"]],[]]],
+  vinyl: [["noun",[["a univalent chemical radical derived from ethylene"],["shiny and tough and flexible plastic; used especially for floor coverings"]],["vinyl group","vinyl radical"]]],
+  viola: [["noun",[["any of the numerous plants of the genus Viola"],["a bowed stringed instrument slightly larger than a violin, tuned a fifth lower"],["large genus of flowering herbs of temperate regions"]],[]]],
+  viper: [["noun",[["venomous Old World snakes characterized by hollow venom-conducting fangs in the upper jaw"]],[]]],
+  viral: [["adjective",[["relating to or caused by a virus","viral infection"]],[]]],
+  virus: [["noun",[["(virology) ultramicroscopic infectious agent that replicates itself only within cells of living hosts; many are pathogenic; a piece of nucleic acid (DNA or RNA) wrapped in a thin coat of protein"],["a harmful or corrupting agency","bigotry is a virus that must not be allowed to spread"],["a software program capable of reproducing itself and usually capable of causing great harm to files or other programs on the same computer","a true virus cannot spread to another computer without human assistance"]],["computer virus"]]],
+  visit: [["verb",[["go to see a place, as for entertainment","We went to see the Eiffel Tower in the morning"],["go to certain places as for sightseeing","Did you ever visit Paris?"],["pay a brief visit","The mayor likes to call on some of the prominent citizens"]],["see","travel to","call in","call"]],["noun",[["the act of going to see some person or place or thing for a short time","he dropped by for a visit"],["a meeting arranged by the visitor to see someone (such as a doctor or lawyer) for treatment or advice","he scheduled a visit to the dentist"],["the act of visiting in an official capacity (as for an inspection)"]],[]]],
+  visor: [["noun",[["a piece of armor plate (with eye slits) fixed or hinged to a medieval helmet to protect the face"],["a brim that projects to the front to shade the eyes","he pulled down the bill of his cap and trudged ahead"]],["vizor","bill","peak","eyeshade"]]],
+  vista: [["noun",[["the visual percept of a region","the most desirable feature of the park are the beautiful views"]],["view","aspect","prospect","scene","panorama"]]],
+  vital: [["adjective",[["urgently needed; absolutely necessary","a critical element of the plan"],["performing an essential function in the living body","vital organs"],["full of spirit; full of life","a dynamic full of life woman"]],["critical","life-sustaining","lively"]]],
+  vivid: [["adjective",[["evoking lifelike images within the mind","pictorial poetry and prose"],["having the clarity and freshness of immediate experience","a vivid recollection"],["having strong or striking color","bright dress"]],["graphic","lifelike","pictorial","bright","brilliant"]]],
+  vixen: [["noun",[["a malicious woman with a fierce temper"],["a female fox"]],["harpy","hellcat"]]],
+  vocal: [["adjective",[["relating to or designed for or using the singing voice","vocal technique"],["having or using the power to produce speech or sound","vocal organs"],["given to expressing yourself freely or insistently","outspoken in their opposition to segregation"]],["outspoken"]],["noun",[["music intended to be performed by one or more singers, usually with instrumental accompaniment"],["a short musical composition with words","a successful musical must have at least three good songs"]],["vocal music","song"]]],
+  vodka: [["noun",[["unaged colorless liquor originating in Russia"]],[]]],
+  vogue: [["noun",[["the popular taste at a given time","leather is the latest vogue"],["a current state of general acceptance and use"]],["trend","style"]]],
+  voice: [["noun",[["the distinctive quality or pitch or condition of a person's speech","A shrill voice sounded behind us"],["the sound made by the vibration of vocal folds modified by the resonance of the vocal tract","a singer takes good care of his voice"],["a sound suggestive of a vocal utterance","the noisy voice of the waterfall"]],["vocalization","vocalisation","vocalism","phonation","vox"]],["verb",[["give voice to","He voiced his concern"],["utter with vibrating vocal chords"]],["sound","vocalize","vocalise"]]],
+  vomit: [["verb",[["eject the contents of the stomach through the mouth","After drinking too much, the students vomited"]],["vomit up","purge","cast","sick","cat"]],["noun",[["the matter ejected in vomiting"],["a medicine that induces nausea and vomiting"],["the reflex act of ejecting the contents of the stomach through the mouth"]],["vomitus","puke","barf","emetic","vomitive"]]],
+  voter: [["noun",[["a citizen who has a legal right to vote"]],["elector"]]],
+  vouch: [["verb",[["give personal assurance; guarantee","Will he vouch for me?"],["give surety or assume responsibility","I vouch for the quality of my products"],["summon (a vouchee) into court to warrant or defend a title"]],["guarantee"]]],
+  vowel: [["noun",[["a speech sound made with the vocal tract open"],["a letter of the alphabet standing for a spoken vowel"]],["vowel sound"]]],
+  wacky: [["adjective",[["ludicrous, foolish","wore a goofy hat"],["informal or slang terms for mentally irregular","it used to drive my husband balmy"]],["goofy","silly","whacky","zany","balmy"]]],
+  wafer: [["noun",[["a small adhesive disk of paste; used to seal letters"],["a small thin crisp cake or cookie"],["thin disk of unleavened bread used in a religious service (especially in the celebration of the Eucharist)"]],[]]],
+  wager: [["noun",[["the act of gambling","he did it on a bet"],["the money risked on a gamble"]],["bet","stake","stakes"]],["verb",[["stake on the outcome of an issue","I bet $100 on that new horse"],["maintain with or as if with a bet","I bet she will be there!"]],["bet","play"]]],
+  wagon: [["noun",[["any of various kinds of wheeled vehicles drawn by an animal or a tractor"],["van used by police to transport prisoners"],["a child's four-wheeled toy cart sometimes used for coasting"]],["waggon","police van","police wagon","paddy wagon","patrol wagon"]]],
+  waist: [["noun",[["the narrowing of the body between the ribs and hips"],["the narrow part of the shoe connecting the heel and the wide part of the sole"]],["waistline","shank"]]],
+  waive: [["verb",[["do without or cease to hold or adhere to","We are dispensing with formalities"],["lose (s.th.) or lose the right to (s.th.) by some error, offense, or crime","you've forfeited your right to name your successor"]],["relinquish","forgo","forego","foreswear","dispense with"]]],
+  waltz: [["noun",[["an assured victory (especially in an election)"],["music composed in triple time for waltzing"],["a ballroom dance in triple time with a strong accent on the first beat"]],["walk-in","valse"]],["verb",[["dance a waltz"]],["waltz around"]]],
+  warty: [["adjective",[["(of skin) covered with warts or projections that resemble warts"]],["verrucose","wartlike"]]],
+  waste: [["noun",[["any materials unused and rejected as worthless or unwanted","they collect the waste once a week"],["useless or profitless activity; using or expending or consuming thoughtlessly or carelessly","if the effort brings no compensating gain it is a waste"],["the trait of wasting resources","a life characterized by thriftlessness and waste"]],["waste material","waste matter","waste product","wastefulness","dissipation"]],["verb",[["spend thoughtlessly; throw away","He wasted his inheritance on his insincere friends"],["use inefficiently or inappropriately","waste heat"],["get rid of","We waste the dirty water by channeling it into the sewer"]],["blow","squander"]],["adjective",[["located in a dismal or remote area; desolate","a desert island"]],["godforsaken","wild"]]],
+  watch: [["verb",[["look attentively","watch a basketball game"],["follow with the eyes or the mind","Keep an eye on the baby, please!"],["see or watch","view a show on television"]],["observe","follow","watch over","keep an eye on","view"]],["noun",[["a small portable timepiece"],["a period of time (4 or 2 hours) during which some of a ship's crew are on duty"],["a purposeful surveillance to guard or observe"]],["ticker","vigil"]]],
+  water: [["noun",[["binary compound that occurs at room temperature as a clear colorless odorless tasteless liquid; freezes into ice below 0 degrees centigrade and boils above 100 degrees centigrade; widely used as a solvent"],["the part of the earth's surface covered with water (such as a river or lake or ocean)","they invaded our territorial waters"],["once thought to be one of four elements composing the universe (Empedocles)"]],["body of water"]],["verb",[["supply with water, as with channels or ditches or streams","Water the fields"],["provide with water","We watered the buffalo"],["secrete or form water, as tears or saliva","My mouth watered at the prospect of a good dinner"]],["irrigate"]]],
+  waver: [["verb",[["pause or hold back in uncertainty or unwillingness","Authorities hesitate to quote exact figures"],["be unsure or weak","Their enthusiasm is faltering"],["move hesitatingly, as if about to give way"]],["hesitate","waffle","falter"]],["noun",[["someone who communicates by waving"],["the act of pausing uncertainly","there was a hesitation in his speech"],["the act of moving back and forth"]],["hesitation","falter","faltering","flutter","flicker"]]],
+  waxen: [["adjective",[["made of or covered with wax","waxen candles"],["having the paleness of wax","the poor face with the same awful waxen pallor"]],["waxy","waxlike"]]],
+  weary: [["verb",[["exhaust or get tired through overuse or great strain or stress","We wore ourselves out on this hike"],["lose interest or become bored with something or somebody","I'm so tired of your mother and her complaints about my food"]],["tire","wear upon","tire out","wear","jade"]],["adjective",[["physically and mentally fatigued","`aweary' is archaic"]],["aweary"]]],
+  weave: [["verb",[["interlace by or as if by weaving"],["create a piece of cloth by interlacing strands of fabric, such as wool or cotton","tissue textiles"],["sway from side to side"]],["interweave","tissue","waver"]],["noun",[["pattern of weaving or structure of a fabric"]],[]]],
+  wedge: [["noun",[["any shape that is triangular in cross section"],["a large sandwich made of a long crusty roll split lengthwise and filled with meats and cheese (and tomato and onion and lettuce and condiments); different names are used in different sections of the United States"],["a diacritical mark (an inverted circumflex) placed above certain letters (such as the letter c) to indicate pronunciation"]],["wedge shape","cuneus","bomber","grinder","hero"]],["verb",[["put, fix, force, or implant","lodge a bullet in the table"],["squeeze like a wedge into a tight space","I squeezed myself into the corner"]],["lodge","stick","deposit","squeeze","force"]]],
+  weedy: [["adjective",[["abounding with or resembling weeds","a weedy path"],["being very thin","a child with skinny freckled legs"]],["scraggy","scraggly","boney","bony","scrawny"]]],
+  weigh: [["verb",[["have a certain weight"],["show consideration for; take into account","You must consider her age"],["determine the weight of","The butcher weighed the chicken"]],["consider","count","librate"]]],
+  weird: [["adjective",[["suggesting the operation of supernatural influences","an eldritch screech"],["strikingly odd or unusual","some trick of the moonlight; some weird effect of shadow"]],["eldritch","uncanny","unearthly"]],["noun",[["fate personified; any one of the three Weird Sisters"]],[]]],
+  welch: [["verb",[["cheat by avoiding payment of a gambling debt"]],["welsh"]]],
+  welsh: [["noun",[["a native or resident of Wales"],["a Celtic language of Wales"],["a breed of dual-purpose cattle developed in Wales"]],[]],["verb",[["cheat by avoiding payment of a gambling debt"]],["welch"]],["adjective",[["of or relating to or characteristic of Wales or its people or their language","the Welsh coast"]],[]]],
+  wench: [["noun",[["informal terms for a (young) woman"]],["dame","doll","skirt","chick","bird"]],["verb",[["frequent prostitutes"]],[]]],
+  whack: [["verb",[["hit hard","The teacher whacked the boy"]],["wham","whop","wallop"]],["noun",[["the sound made by a sharp swift blow"],["the act of hitting vigorously","he gave the table a whack"]],["knock","belt","rap","whang"]]],
+  whale: [["noun",[["a very large person; impressive in size or qualities"],["any of the larger cetacean mammals having a streamlined body and breathing through a blowhole on the head"]],["giant","hulk","heavyweight"]],["verb",[["hunt for whales"]],[]]],
+  wharf: [["noun",[["a platform built out from the shore into the water and supported by piles; provides access to ships and boats"]],["pier","wharfage","dock"]],["verb",[["provide with a wharf","Wharf the mouth of the river"],["store on a wharf","Wharf the merchandise"],["discharge at a wharf","wharf the passengers"]],[]]],
+  wheat: [["noun",[["annual or biennial grass having erect flower spikes and light brown grains"],["grains of common wheat; sometimes cooked whole or cracked as cereal; usually ground into flour"],["a variable yellow tint; dull yellow, often diluted with white"]],["wheat berry","pale yellow","straw"]]],
+  wheel: [["verb",[["change directions as if revolving on a pivot","They wheeled their horses around and left"],["wheel somebody or something"],["move along on or as if on wheels or a wheeled vehicle","The President's convoy rolled past the crowds"]],["wheel around","roll"]],["noun",[["a simple machine consisting of a circular frame with spokes (or a solid disc) that can rotate on a shaft or axle (as in vehicles or other machines)"],["a handwheel that is used for steering"],["forces that provide energy and direction","the wheels of government began to turn"]],["steering wheel"]]],
+  whelp: [["noun",[["young of any of various canines such as a dog or wolf"]],["pup"]],["verb",[["give birth to (a puppy)","the dog whelped"]],["pup"]]],
+  whiff: [["noun",[["a short light gust of air"],["a lefteye flounder found in coastal waters from New England to Brazil"],["a strikeout resulting from the batter swinging at and missing the ball for the third strike"]],["puff","puff of air"]],["verb",[["perceive by inhaling through the nose","sniff the perfume"],["drive or carry as if by a puff of air","The gust of air whiffed away the clouds"],["strike out by swinging and missing the pitch charged as the third"]],["sniff"]]],
+  while: [["noun",[["a period of indeterminate length (usually short) marked by some action or condition","he was here for a little while"]],["piece","spell","patch"]]],
+  whine: [["verb",[["move with a whining sound","The bullets were whining past us"],["talk in a tearful manner"],["make a high-pitched, screeching noise","The door creaked when I opened it slowly"]],["snivel","squeak","screech","creak","screak"]],["noun",[["a complaint uttered in a plaintive whining way"]],["whimper"]]],
+  whiny: [["adjective",[["habitually complaining","a whiny child"]],["fretful","querulous","whiney"]]],
+  whirl: [["verb",[["turn in a twisting or spinning motion","The leaves swirled in the autumn wind"],["cause to spin","spin a coin"],["flow in a circular current, of liquids"]],["twirl","swirl","twiddle","birl","spin"]],["noun",[["confused movement","he was caught up in a whirl of work"],["the shape of something rotating rapidly"],["a usually brief attempt","he took a crack at it"]],["commotion","swirl","vortex","convolution","crack"]]],
+  whisk: [["verb",[["move somewhere quickly","The President was whisked away in his limo"],["move quickly and nimbly","He whisked into the house"],["brush or wipe off lightly"]],["whisk off"]],["noun",[["a mixer incorporating a coil of wires; used for whipping eggs or cream"],["a small short-handled broom used to brush clothes"]],["whisk broom"]]],
+  white: [["noun",[["the quality or state of the achromatic color of greatest lightness (bearing the least resemblance to black)"],["the white part of an egg; the nutritive and protective gelatinous substance surrounding the yolk consisting mainly of albumin dissolved in water","she separated the whites from the yolks of several eggs"],["(board games) the lighter pieces"]],["whiteness","egg white","albumen","ovalbumin"]],["adjective",[["being of the achromatic color of maximum lightness; having little or no hue owing to reflection of almost all incident light","as white as fresh snow"],["of or belonging to a racial group having light skin coloration","voting patterns within the white population"],["free from moral blemish or impurity; unsullied","in shining white armor"]],[]],["verb",[["turn white","This detergent will whiten your laundry"]],["whiten"]]],
+  whole: [["noun",[["all of something including all its component elements or parts","Europe considered as a whole"],["an assemblage of parts that is regarded as a single entity","how big is that part compared to the whole?"]],["unit"]],["adjective",[["including all components without exception; being one unit or constituting the full amount or extent or duration; complete","gave his whole attention"],["(of siblings) having the same parents","whole brothers and sisters"],["not injured or harmed"]],["unharmed","unhurt","unscathed"]],["adverb",[["to a complete degree or to the full or entire extent (`whole' is often used informally for `wholly')","he was wholly convinced"]],["wholly","entirely","completely","totally","all"]]],
+  whoop: [["verb",[["shout, as if with joy or enthusiasm","The children whooped when they were led to the picnic table"],["cough spasmodically","The patient with emphysema is hacking all day"]],["hack"]],["noun",[["a loud hooting cry of exultation or excitement"]],[]]],
+  widen: [["verb",[["become broader or wider or more extensive","The road widened"],["make (clothes) larger","Let out that dress--I gained a lot of weight"],["make wider","widen the road"]],["let out"]]],
+  widow: [["noun",[["a woman whose husband is dead especially one who has not remarried"]],["widow woman"]],["verb",[["cause to be without a spouse","The war widowed many women in the former Yugoslavia"]],[]]],
+  width: [["noun",[["the extent of something from side to side"]],["breadth"]]],
+  wield: [["verb",[["have and exercise","wield power and authority"],["handle effectively","The burglar wielded an axe"]],["exert","maintain","handle","manage"]]],
+  wight: [["noun",[["a human being; `wight' is an archaic term"],["an isle and county of southern England in the English Channel"]],["creature"]]],
+  wimpy: [["adjective",[["weak and ineffectual"]],["wimpish"]]],
+  wince: [["verb",[["draw back, as with fear or pain","she flinched when they showed the slaughtering of the calf"],["make a face indicating disgust or dislike","She winced when she heard his pompous speech"]],["flinch","squinch","funk","cringe","shrink"]],["noun",[["the facial expression of sudden pain"],["a reflex response to sudden pain"]],["flinch"]]],
+  winch: [["noun",[["lifting device consisting of a horizontal cylinder turned by a crank on which a cable or rope winds"]],["windlass"]],["verb",[["pull or lift up with or as if with a winch","winch up the slack line"]],[]]],
+  windy: [["adjective",[["abounding in or exposed to the wind or breezes","blowy weather"],["not practical or realizable; speculative","airy theories about socioeconomic improvement"],["resembling the wind in speed, force, or variability","a windy dash home"]],["blowy","breezy","airy","impractical","visionary"]]],
+  wispy: [["adjective",[["thin and weak","a wispy little fellow with small hands and feet"],["lacking clarity or distinctness","a dim figure in the distance"]],["wisplike","dim","faint","shadowy","vague"]]],
+  witch: [["noun",[["a female sorcerer or magician"],["a being (usually female) imagined to have special powers derived from the devil"],["a believer in Wicca"]],["enchantress"]],["verb",[["cast a spell over someone or something; put a hex on someone or something"]],["hex","bewitch","glamour","enchant","jinx"]]],
+  witty: [["adjective",[["combining clever conception and facetious expression","his sermons were unpredictably witty and satirical as well as eloquent"]],[]]],
+  woman: [["noun",[["an adult female person (as opposed to a man)","the woman kept house while the man hunted"],["a female person who plays a significant role (wife or mistress or girlfriend) in the life of a particular man","he was faithful to his woman"],["a human female employed to do housework","the char will clean the carpet"]],["adult female","charwoman","char","cleaning woman","cleaning lady"]]],
+  woody: [["adjective",[["made of or containing or resembling wood","woody plants"],["abounding in trees","an arboreous landscape"],["made hard like wood as the result of the deposition of lignin in the cell walls"]],["arboraceous","arboreous","woodsy"]]],
+  wooer: [["noun",[["a man who courts a woman","a suer for the hand of the princess"]],["suitor","suer"]]],
+  wooly: [["adjective",[["having a fluffy character or appearance"],["confused and vague; used especially of thinking","muddleheaded ideas"],["covered with dense often matted or curly hairs","woolly lambs"]],["flocculent","woolly","addled","befuddled","muddled"]]],
+  woozy: [["adjective",[["having or causing a whirling sensation; liable to falling","had a dizzy spell"]],["dizzy","giddy","vertiginous"]]],
+  wordy: [["adjective",[["using or containing too many words","long-winded (or windy) speakers"]],["long-winded","tedious","verbose","windy"]]],
+  world: [["noun",[["everything that exists anywhere","they study the evolution of the universe"],["people in general; especially a distinctive group of people with some shared interest","the Western world"],["all of your experiences that determine how things appear to you","his world was shattered"]],["universe","existence","creation","cosmos","macrocosm"]],["adjective",[["involving the entire earth; not limited or provincial in scope","global war"]],["global","planetary","worldwide","world-wide"]]],
+  worry: [["verb",[["be worried, concerned, anxious, troubled, or uneasy","I worry about my job"],["be concerned with","I worry about my grades"],["disturb the peace of mind of; afflict with mental agitation or distress","I cannot sleep--my daughter's health is worrying me"]],["care","vex"]],["noun",[["something or someone that causes anxiety; a source of unhappiness","New York traffic is a constant concern"],["a strong feeling of anxiety","his worry over the prospect of being fired"]],["concern","headache","vexation","trouble"]]],
+  worse: [["noun",[["something inferior in quality or condition or effect","for better or for worse"]],[]],["adjective",[["(comparative of `bad') inferior to another in quality or condition or desirability","this road is worse than the first one we took"],["changed for the worse in health or fitness","I feel worse today"]],["worsened"]],["adverb",[["(comparative of `ill') in a less effective or successful or desirable manner","he did worse on the second exam"]],[]]],
+  worst: [["noun",[["the least favorable outcome","the worst that could happen"],["the greatest damage or wickedness of which one is capable","the invaders did their worst"],["the weakest effort or poorest achievement one is capable of","it was the worst he had ever done on a test"]],[]],["adjective",[["(superlative of `bad') most wanting in quality or value or condition","the worst player on the team"]],[]],["verb",[["defeat thoroughly","He mopped up the floor with his opponents"]],["pip","mop up","whip","rack up"]],["adverb",[["to the highest degree of inferiority or badness","She suffered worst of all"]],[]]],
+  worth: [["noun",[["an indefinite quantity of something having a specified value","10 dollars worth of gasoline"],["the quality that renders something desirable or valuable or useful"],["French couturier (born in England) regarded as the founder of Parisian haute couture; noted for introducing the bustle (1825-1895)"]],[]],["adjective",[["(often used ironically) worthy of being treated in a particular way","an idea worth considering"],["having a specified value","not worth his salt"]],["deserving"]]],
+  wound: [["noun",[["an injury to living tissue (especially an injury involving a cut or break in the skin)"],["a casualty to military personnel resulting from combat"],["a figurative injury (to your feelings or pride)","he feared that mentioning it might reopen the wound"]],["lesion","injury","combat injury"]],["verb",[["cause injuries or bodily harm to"],["hurt the feelings of","She hurt me when she did not include me among her guests"]],["injure","hurt","bruise","offend","spite"]],["adjective",[["put in a coil"]],[]]],
+  woven: [["adjective",[["made or constructed by interlacing threads or strips of material or other elements into a whole","woven fabrics"]],[]]],
+  wrack: [["noun",[["dried seaweed especially that cast ashore"],["the destruction or collapse of something","wrack and ruin"],["growth of marine vegetation especially of the large forms such as rockweeds and kelp"]],["rack","sea wrack"]],["verb",[["smash or break forcefully","The kid busted up the car"]],["bust up","wreck"]]],
+  wrath: [["noun",[["intense anger (usually on an epic scale)"],["belligerence aroused by a real or supposed wrong (personified as one of the deadly sins)"]],["anger","ire","ira"]]],
+  wreak: [["verb",[["cause to happen or to occur as a consequence","I cannot work a miracle"]],["bring","work","play","make for"]]],
+  wreck: [["noun",[["something or someone that has suffered ruin or dilapidation","the house was a wreck when they bought it"],["an accident that destroys a ship at sea"],["a serious accident (usually involving one or more vehicles)","they are still investigating the crash of the TWA plane"]],["shipwreck","crash"]],["verb",[["smash or break forcefully","The kid busted up the car"]],["bust up","wrack"]]],
+  wrest: [["verb",[["obtain by seizing forcibly or violently, also metaphorically","wrest the knife from his hands"]],[]]],
+  wring: [["verb",[["twist and press out of shape"],["twist and compress, as if in pain or anguish","Wring one's hand"],["obtain by coercion or intimidation","They extorted money from the executive by threatening to reveal his past to the company boss"]],["contort","deform","distort","wrench","extort"]],["noun",[["a twisting squeeze","gave the wet cloth a wring"]],["squeeze"]]],
+  wrist: [["noun",[["a joint between the distal end of the radius and the proximal row of carpal bones"]],["carpus","wrist joint","radiocarpal joint","articulatio radiocarpea"]]],
+  write: [["verb",[["produce a literary work","She composed a poem"],["communicate or express by writing","He wrote about his great love for his wife"],["communicate (with) in writing","Write her soon, please!"]],["compose","pen","indite","drop a line"]]],
+  wrong: [["adjective",[["not correct; not in conformity with fact or truth","an incorrect calculation"],["contrary to conscience or morality or law","it is wrong for the rich to take advantage of the poor"],["not appropriate for a purpose or occasion","said all the wrong things"]],["incorrect","improper"]],["noun",[["that which is contrary to the principles of justice or law","he feels that you are in the wrong"],["any harm or injury resulting from a violation of a legal right"]],["wrongfulness","legal injury","damage"]],["verb",[["treat unjustly; do wrong to"]],[]],["adverb",[["in an inaccurate manner","he decided to reveal the details only after other sources had reported them incorrectly"]],["incorrectly","wrongly"]]],
+  wryly: [["adverb",[["in a wry manner","`I see,' he commented wryly"]],[]]],
+  yacht: [["noun",[["an expensive vessel propelled by sail or power and used for cruising or racing"]],["racing yacht"]],["verb",[["travel in a yacht"]],[]]],
+  yearn: [["verb",[["desire strongly or persistently"],["have a desire for something or someone who is not present","She ached for a cigarette"],["have affection for; feel tenderness for"]],["hanker","long","ache","yen","pine"]]],
+  yeast: [["noun",[["a commercial leavening agent containing yeast cells; used to raise the dough in making bread and for fermenting beer or whiskey"],["any of various single-celled fungi that reproduce asexually by budding or division"]],["barm"]]],
+  yield: [["verb",[["be the cause or source of","He gave me a lot of trouble"],["end resistance, as under pressure or force","The door yielded to repeated blows with a battering ram"],["give or supply","The cow brings in 5 liters of milk"]],["give","afford","give way","render","return"]],["noun",[["production of a certain amount"],["the income or profit arising from such transactions as the sale of land or other property","the average return was about 5%"],["an amount of a product"]],["output","return","issue","take","takings"]]],
+  young: [["adjective",[["(used of living things especially persons) in an early period of life or development or growth","young people"],["(of crops) harvested at an early stage of development; before complete maturity","new potatoes"],["suggestive of youth; vigorous and fresh","he is young for his age"]],["immature","new","youthful","vernal"]],["noun",[["any immature animal"],["young people collectively","rock music appeals to the young"],["United States film and television actress (1913-2000)"]],["offspring","youth"]]],
+  youth: [["noun",[["a young person (especially a young man or boy)"],["young people collectively","rock music appeals to the young"],["the time of life between childhood and maturity"]],["young person","younker","spring chicken","young"]]],
+  zebra: [["noun",[["any of several fleet black-and-white striped African equines"]],[]]],
+  zesty: [["adjective",[["having an agreeably pungent taste"],["marked by spirited enjoyment"]],["piquant","savory","savoury","zestful","yeasty"]]],
+  zonal: [["adjective",[["relating to or of the nature of a zone","the zonal frontier"],["associated with or divided into zones","a zonal pattern of cell structure"]],["zonary"]]]
+};
@@ -0,0 +1,532 @@
+// src/data/pastAnswers.js
+//
+// PAST DAILY WORDLE ANSWERS (generated by scripts/buildPastAnswers.js)
+//
+// One entry per day, oldest first. Dates are the puzzle's date (YYYY-MM-DD).
+//
+// Caveats:
+// - Up to 2022-11-06, dates come from the original answer schedule. The NYT
+//   swapped out a handful of those words in 2022, so a few dates may list the
+//   original word instead of the one that was actually played
+// - After 2022-11-06, the NYT picks answers by hand, so there is no schedule to
+//   generate from: `node scripts/buildPastAnswers.js --fetch` adds the days
+//   since the last entry from the NYT (or append them by hand, keeping the
+//   same one-entry-per-line format; re-running the script keeps them)
+// - The list ends at 2022-11-06: later answers aren't known to the app,
+//   which leaves past answers switched off until the list reaches the current day
+//
+// Sources: wordle-words npm package (MIT, Copyright (c) 2022 Michael Chan)
+// up to 2022-11-06, the NYT daily puzzle after it
+
+/**
+ * Past answers with their dates
+ * Total: 506 days (2021-06-19 to 2022-11-06)
+ */
+export const PAST_ANSWERS = [
+  { date: "2021-06-19", word: "cigar" },
+  { date: "2021-06-20", word: "rebut" },
+  { date: "2021-06-21", word: "sissy" },
+  { date: "2021-06-22", word: "humph" },
+  { date: "2021-06-23", word: "awake" },
+  { date: "2021-06-24", word: "blush" },
+  { date: "2021-06-25", word: "focal" },
+  { date: "2021-06-26", word: "evade" },
+  { date: "2021-06-27", word: "naval" },
+  { date: "2021-06-28", word: "serve" },
+  { date: "2021-06-29", word: "heath" },
+  { date: "2021-06-30", word: "dwarf" },
+  { date: "2021-07-01", word: "model" },
+  { date: "2021-07-02", word: "karma" },
+  { date: "2021-07-03", word: "stink" },
+  { date: "2021-07-04", word: "grade" },
+  { date: "2021-07-05", word: "quiet" },
+  { date: "2021-07-06", word: "bench" },
+  { date: "2021-07-07", word: "abate" },
+  { date: "2021-07-08", word: "feign" },
+  { date: "2021-07-09", word: "major" },
+  { date: "2021-07-10", word: "death" },
+  { date: "2021-07-11", word: "fresh" },
+  { date: "2021-07-12", word: "crust" },
+  { date: "2021-07-13", word: "stool" },
+  { date: "2021-07-14", word: "colon" },
+  { date: "2021-07-15", word: "abase" },
+  { date: "2021-07-16", word: "marry" },
+  { date: "2021-07-17", word: "react" },
+  { date: "2021-07-18", word: "batty" },
+  { date: "2021-07-19", word: "pride" },
+  { date: "2021-07-20", word: "floss" },
+  { date: "2021-07-21", word: "helix" },
+  { date: "2021-07-22", word: "croak" },
+  { date: "2021-07-23", word: "staff" },
+  { date: "2021-07-24", word: "paper" },
+  { date: "2021-07-25", word: "unfed" },
+  { date: "2021-07-26", word: "whelp" },
+  { date: "2021-07-27", word: "trawl" },
+  { date: "2021-07-28", word: "outdo" },
+  { date: "2021-07-29", word: "adobe" },
+  { date: "2021-07-30", word: "crazy" },
+  { date: "2021-07-31", word: "sower" },
+  { date: "2021-08-01", word: "repay" },
+  { date: "2021-08-02", word: "digit" },
+  { date: "2021-08-03", word: "crate" },
+  { date: "2021-08-04", word: "cluck" },
+  { date: "2021-08-05", word: "spike" },
+  { date: "2021-08-06", word: "mimic" },
+  { date: "2021-08-07", word: "pound" },
+  { date: "2021-08-08", word: "maxim" },
+  { date: "2021-08-09", word: "linen" },
+  { date: "2021-08-10", word: "unmet" },
+  { date: "2021-08-11", word: "flesh" },
+  { date: "2021-08-12", word: "booby" },
+  { date: "2021-08-13", word: "forth" },
+  { date: "2021-08-14", word: "first" },
+  { date: "2021-08-15", word: "stand" },
+  { date: "2021-08-16", word: "belly" },
+  { date: "2021-08-17", word: "ivory" },
+  { date: "2021-08-18", word: "seedy" },
+  { date: "2021-08-19", word: "print" },
+  { date: "2021-08-20", word: "yearn" },
+  { date: "2021-08-21", word: "drain" },
+  { date: "2021-08-22", word: "bribe" },
+  { date: "2021-08-23", word: "stout" },
+  { date: "2021-08-24", word: "panel" },
+  { date: "2021-08-25", word: "crass" },
+  { date: "2021-08-26", word: "flume" },
+  { date: "2021-08-27", word: "offal" },
+  { date: "2021-08-28", word: "agree" },
+  { date: "2021-08-29", word: "error" },
+  { date: "2021-08-30", word: "swirl" },
+  { date: "2021-08-31", word: "argue" },
+  { date: "2021-09-01", word: "bleed" },
+  { date: "2021-09-02", word: "delta" },
+  { date: "2021-09-03", word: "flick" },
+  { date: "2021-09-04", word: "totem" },
+  { date: "2021-09-05", word: "wooer" },
+  { date: "2021-09-06", word: "front" },
+  { date: "2021-09-07", word: "shrub" },
+  { date: "2021-09-08", word: "parry" },
+  { date: "2021-09-09", word: "biome" },
+  { date: "2021-09-10", word: "lapel" },
+  { date: "2021-09-11", word: "start" },
+  { date: "2021-09-12", word: "greet" },
+  { date: "2021-09-13", word: "goner" },
+  { date: "2021-09-14", word: "golem" },
+  { date: "2021-09-15", word: "lusty" },
+  { date: "2021-09-16", word: "loopy" },
+  { date: "2021-09-17", word: "round" },
+  { date: "2021-09-18", word: "audit" },
+  { date: "2021-09-19", word: "lying" },
+  { date: "2021-09-20", word: "gamma" },
+  { date: "2021-09-21", word: "labor" },
+  { date: "2021-09-22", word: "islet" },
+  { date: "2021-09-23", word: "civic" },
+  { date: "2021-09-24", word: "forge" },
+  { date: "2021-09-25", word: "corny" },
+  { date: "2021-09-26", word: "moult" },
+  { date: "2021-09-27", word: "basic" },
+  { date: "2021-09-28", word: "salad" },
+  { date: "2021-09-29", word: "agate" },
+  { date: "2021-09-30", word: "spicy" },
+  { date: "2021-10-01", word: "spray" },
+  { date: "2021-10-02", word: "essay" },
+  { date: "2021-10-03", word: "fjord" },
+  { date: "2021-10-04", word: "spend" },
+  { date: "2021-10-05", word: "kebab" },
+  { date: "2021-10-06", word: "guild" },
+  { date: "2021-10-07", word: "aback" },
+  { date: "2021-10-08", word: "motor" },
+  { date: "2021-10-09", word: "alone" },
+  { date: "2021-10-10", word: "hatch" },
+  { date: "2021-10-11", word: "hyper" },
+  { date: "2021-10-12", word: "thumb" },
+  { date: "2021-10-13", word: "dowry" },
+  { date: "2021-10-14", word: "ought" },
+  { date: "2021-10-15", word: "belch" },
+  { date: "2021-10-16", word: "dutch" },
+  { date: "2021-10-17", word: "pilot" },
+  { date: "2021-10-18", word: "tweed" },
+  { date: "2021-10-19", word: "comet" },
+  { date: "2021-10-20", word: "jaunt" },
+  { date: "2021-10-21", word: "enema" },
+  { date: "2021-10-22", word: "steed" },
+  { date: "2021-10-23", word: "abyss" },
+  { date: "2021-10-24", word: "growl" },
+  { date: "2021-10-25", word: "fling" },
+  { date: "2021-10-26", word: "dozen" },
+  { date: "2021-10-27", word: "boozy" },
+  { date: "2021-10-28", word: "erode" },
+  { date: "2021-10-29", word: "world" },
+  { date: "2021-10-30", word: "gouge" },
+  { date: "2021-10-31", word: "click" },
+  { date: "2021-11-01", word: "briar" },
+  { date: "2021-11-02", word: "great" },
+  { date: "2021-11-03", word: "altar" },
+  { date: "2021-11-04", word: "pulpy" },
+  { date: "2021-11-05", word: "blurt" },
+  { date: "2021-11-06", word: "coast" },
+  { date: "2021-11-07", word: "duchy" },
+  { date: "2021-11-08", word: "groin" },
+  { date: "2021-11-09", word: "fixer" },
+  { date: "2021-11-10", word: "group" },
+  { date: "2021-11-11", word: "rogue" },
+  { date: "2021-11-12", word: "badly" },
+  { date: "2021-11-13", word: "smart" },
+  { date: "2021-11-14", word: "pithy" },
+  { date: "2021-11-15", word: "gaudy" },
+  { date: "2021-11-16", word: "chill" },
+  { date: "2021-11-17", word: "heron" },
+  { date: "2021-11-18", word: "vodka" },
+  { date: "2021-11-19", word: "finer" },
+  { date: "2021-11-20", word: "surer" },
+  { date: "2021-11-21", word: "radio" },
+  { date: "2021-11-22", word: "rouge" },
+  { date: "2021-11-23", word: "perch" },
+  { date: "2021-11-24", word: "retch" },
+  { date: "2021-11-25", word: "wrote" },
+  { date: "2021-11-26", word: "clock" },
+  { date: "2021-11-27", word: "tilde" },
+  { date: "2021-11-28", word: "store" },
+  { date: "2021-11-29", word: "prove" },
+  { date: "2021-11-30", word: "bring" },
+  { date: "2021-12-01", word: "solve" },
+  { date: "2021-12-02", word: "cheat" },
+  { date: "2021-12-03", word: "grime" },
+  { date: "2021-12-04", word: "exult" },
+  { date: "2021-12-05", word: "usher" },
+  { date: "2021-12-06", word: "epoch" },
+  { date: "2021-12-07", word: "triad" },
+  { date: "2021-12-08", word: "break" },
+  { date: "2021-12-09", word: "rhino" },
+  { date: "2021-12-10", word: "viral" },
+  { date: "2021-12-11", word: "conic" },
+  { date: "2021-12-12", word: "masse" },
+  { date: "2021-12-13", word: "sonic" },
+  { date: "2021-12-14", word: "vital" },
+  { date: "2021-12-15", word: "trace" },
+  { date: "2021-12-16", word: "using" },
+  { date: "2021-12-17", word: "peach" },
+  { date: "2021-12-18", word: "champ" },
+  { date: "2021-12-19", word: "baton" },
+  { date: "2021-12-20", word: "brake" },
+  { date: "2021-12-21", word: "pluck" },
+  { date: "2021-12-22", word: "craze" },
+  { date: "2021-12-23", word: "gripe" },
+  { date: "2021-12-24", word: "weary" },
+  { date: "2021-12-25", word: "picky" },
+  { date: "2021-12-26", word: "acute" },
+  { date: "2021-12-27", word: "ferry" },
+  { date: "2021-12-28", word: "aside" },
+  { date: "2021-12-29", word: "tapir" },
+  { date: "2021-12-30", word: "troll" },
+  { date: "2021-12-31", word: "unify" },
+  { date: "2022-01-01", word: "rebus" },
+  { date: "2022-01-02", word: "boost" },
+  { date: "2022-01-03", word: "truss" },
+  { date: "2022-01-04", word: "siege" },
+  { date: "2022-01-05", word: "tiger" },
+  { date: "2022-01-06", word: "banal" },
+  { date: "2022-01-07", word: "slump" },
+  { date: "2022-01-08", word: "crank" },
+  { date: "2022-01-09", word: "gorge" },
+  { date: "2022-01-10", word: "query" },
+  { date: "2022-01-11", word: "drink" },
+  { date: "2022-01-12", word: "favor" },
+  { date: "2022-01-13", word: "abbey" },
+  { date: "2022-01-14", word: "tangy" },
+  { date: "2022-01-15", word: "panic" },
+  { date: "2022-01-16", word: "solar" },
+  { date: "2022-01-17", word: "shire" },
+  { date: "2022-01-18", word: "proxy" },
+  { date: "2022-01-19", word: "point" },
+  { date: "2022-01-20", word: "robot" },
+  { date: "2022-01-21", word: "prick" },
+  { date: "2022-01-22", word: "wince" },
+  { date: "2022-01-23", word: "crimp" },
+  { date: "2022-01-24", word: "knoll" },
+  { date: "2022-01-25", word: "sugar" },
+  { date: "2022-01-26", word: "whack" },
+  { date: "2022-01-27", word: "mount" },
+  { date: "2022-01-28", word: "perky" },
+  { date: "2022-01-29", word: "could" },
+  { date: "2022-01-30", word: "wrung" },
+  { date: "2022-01-31", word: "light" },
+  { date: "2022-02-01", word: "those" },
+  { date: "2022-02-02", word: "moist" },
+  { date: "2022-02-03", word: "shard" },
+  { date: "2022-02-04", word: "pleat" },
+  { date: "2022-02-05", word: "aloft" },
+  { date: "2022-02-06", word: "skill" },
+  { date: "2022-02-07", word: "elder" },
+  { date: "2022-02-08", word: "frame" },
+  { date: "2022-02-09", word: "humor" },
+  { date: "2022-02-10", word: "pause" },
+  { date: "2022-02-11", word: "ulcer" },
+  { date: "2022-02-12", word: "ultra" },
+  { date: "2022-02-13", word: "robin" },
+  { date: "2022-02-14", word: "cynic" },
+  { date: "2022-02-15", word: "agora" },
+  { date: "2022-02-16", word: "aroma" },
+  { date: "2022-02-17", word: "caulk" },
+  { date: "2022-02-18", word: "shake" },
+  { date: "2022-02-19", word: "pupal" },
+  { date: "2022-02-20", word: "dodge" },
+  { date: "2022-02-21", word: "swill" },
+  { date: "2022-02-22", word: "tacit" },
+  { date: "2022-02-23", word: "other" },
+  { date: "2022-02-24", word: "thorn" },
+  { date: "2022-02-25", word: "trove" },
+  { date: "2022-02-26", word: "bloke" },
+  { date: "2022-02-27", word: "vivid" },
+  { date: "2022-02-28", word: "spill" },
+  { date: "2022-03-01", word: "chant" },
+  { date: "2022-03-02", word: "choke" },
+  { date: "2022-03-03", word: "rupee" },
+  { date: "2022-03-04", word: "nasty" },
+  { date: "2022-03-05", word: "mourn" },
+  { date: "2022-03-06", word: "ahead" },
+  { date: "2022-03-07", word: "brine" },
+  { date: "2022-03-08", word: "cloth" },
+  { date: "2022-03-09", word: "hoard" },
+  { date: "2022-03-10", word: "sweet" },
+  { date: "2022-03-11", word: "month" },
+  { date: "2022-03-12", word: "lapse" },
+  { date: "2022-03-13", word: "watch" },
+  { date: "2022-03-14", word: "today" },
+  { date: "2022-03-15", word: "focus" },
+  { date: "2022-03-16", word: "smelt" },
+  { date: "2022-03-17", word: "tease" },
+  { date: "2022-03-18", word: "cater" },
+  { date: "2022-03-19", word: "movie" },
+  { date: "2022-03-20", word: "lynch" },
+  { date: "2022-03-21", word: "saute" },
+  { date: "2022-03-22", word: "allow" },
+  { date: "2022-03-23", word: "renew" },
+  { date: "2022-03-24", word: "their" },
+  { date: "2022-03-25", word: "slosh" },
+  { date: "2022-03-26", word: "purge" },
+  { date: "2022-03-27", word: "chest" },
+  { date: "2022-03-28", word: "depot" },
+  { date: "2022-03-29", word: "epoxy" },
+  { date: "2022-03-30", word: "nymph" },
+  { date: "2022-03-31", word: "found" },
+  { date: "2022-04-01", word: "shall" },
+  { date: "2022-04-02", word: "harry" },
+  { date: "2022-04-03", word: "stove" },
+  { date: "2022-04-04", word: "lowly" },
+  { date: "2022-04-05", word: "snout" },
+  { date: "2022-04-06", word: "trope" },
+  { date: "2022-04-07", word: "fewer" },
+  { date: "2022-04-08", word: "shawl" },
+  { date: "2022-04-09", word: "natal" },
+  { date: "2022-04-10", word: "fibre" },
+  { date: "2022-04-11", word: "comma" },
+  { date: "2022-04-12", word: "foray" },
+  { date: "2022-04-13", word: "scare" },
+  { date: "2022-04-14", word: "stair" },
+  { date: "2022-04-15", word: "black" },
+  { date: "2022-04-16", word: "squad" },
+  { date: "2022-04-17", word: "royal" },
+  { date: "2022-04-18", word: "chunk" },
+  { date: "2022-04-19", word: "mince" },
+  { date: "2022-04-20", word: "slave" },
+  { date: "2022-04-21", word: "shame" },
+  { date: "2022-04-22", word: "cheek" },
+  { date: "2022-04-23", word: "ample" },
+  { date: "2022-04-24", word: "flair" },
+  { date: "2022-04-25", word: "foyer" },
+  { date: "2022-04-26", word: "cargo" },
+  { date: "2022-04-27", word: "oxide" },
+  { date: "2022-04-28", word: "plant" },
+  { date: "2022-04-29", word: "olive" },
+  { date: "2022-04-30", word: "inert" },
+  { date: "2022-05-01", word: "askew" },
+  { date: "2022-05-02", word: "heist" },
+  { date: "2022-05-03", word: "shown" },
+  { date: "2022-05-04", word: "zesty" },
+  { date: "2022-05-05", word: "hasty" },
+  { date: "2022-05-06", word: "trash" },
+  { date: "2022-05-07", word: "fella" },
+  { date: "2022-05-08", word: "larva" },
+  { date: "2022-05-09", word: "forgo" },
+  { date: "2022-05-10", word: "story" },
+  { date: "2022-05-11", word: "hairy" },
+  { date: "2022-05-12", word: "train" },
+  { date: "2022-05-13", word: "homer" },
+  { date: "2022-05-14", word: "badge" },
+  { date: "2022-05-15", word: "midst" },
+  { date: "2022-05-16", word: "canny" },
+  { date: "2022-05-17", word: "fetus" },
+  { date: "2022-05-18", word: "butch" },
+  { date: "2022-05-19", word: "farce" },
+  { date: "2022-05-20", word: "slung" },
+  { date: "2022-05-21", word: "tipsy" },
+  { date: "2022-05-22", word: "metal" },
+  { date: "2022-05-23", word: "yield" },
+  { date: "2022-05-24", word: "delve" },
+  { date: "2022-05-25", word: "being" },
+  { date: "2022-05-26", word: "scour" },
+  { date: "2022-05-27", word: "glass" },
+  { date: "2022-05-28", word: "gamer" },
+  { date: "2022-05-29", word: "scrap" },
+  { date: "2022-05-30", word: "money" },
+  { date: "2022-05-31", word: "hinge" },
+  { date: "2022-06-01", word: "album" },
+  { date: "2022-06-02", word: "vouch" },
+  { date: "2022-06-03", word: "asset" },
+  { date: "2022-06-04", word: "tiara" },
+  { date: "2022-06-05", word: "crept" },
+  { date: "2022-06-06", word: "bayou" },
+  { date: "2022-06-07", word: "atoll" },
+  { date: "2022-06-08", word: "manor" },
+  { date: "2022-06-09", word: "creak" },
+  { date: "2022-06-10", word: "showy" },
+  { date: "2022-06-11", word: "phase" },
+  { date: "2022-06-12", word: "froth" },
+  { date: "2022-06-13", word: "depth" },
+  { date: "2022-06-14", word: "gloom" },
+  { date: "2022-06-15", word: "flood" },
+  { date: "2022-06-16", word: "trait" },
+  { date: "2022-06-17", word: "girth" },
+  { date: "2022-06-18", word: "piety" },
+  { date: "2022-06-19", word: "payer" },
+  { date: "2022-06-20", word: "goose" },
+  { date: "2022-06-21", word: "float" },
+  { date: "2022-06-22", word: "donor" },
+  { date: "2022-06-23", word: "atone" },
+  { date: "2022-06-24", word: "primo" },
+  { date: "2022-06-25", word: "apron" },
+  { date: "2022-06-26", word: "blown" },
+  { date: "2022-06-27", word: "cacao" },
+  { date: "2022-06-28", word: "loser" },
+  { date: "2022-06-29", word: "input" },
+  { date: "2022-06-30", word: "gloat" },
+  { date: "2022-07-01", word: "awful" },
+  { date: "2022-07-02", word: "brink" },
+  { date: "2022-07-03", word: "smite" },
+  { date: "2022-07-04", word: "beady" },
+  { date: "2022-07-05", word: "rusty" },
+  { date: "2022-07-06", word: "retro" },
+  { date: "2022-07-07", word: "droll" },
+  { date: "2022-07-08", word: "gawky" },
+  { date: "2022-07-09", word: "hutch" },
+  { date: "2022-07-10", word: "pinto" },
+  { date: "2022-07-11", word: "gaily" },
+  { date: "2022-07-12", word: "egret" },
+  { date: "2022-07-13", word: "lilac" },
+  { date: "2022-07-14", word: "sever" },
+  { date: "2022-07-15", word: "field" },
+  { date: "2022-07-16", word: "fluff" },
+  { date: "2022-07-17", word: "hydro" },
+  { date: "2022-07-18", word: "flack" },
+  { date: "2022-07-19", word: "agape" },
+  { date: "2022-07-20", word: "wench" },
+  { date: "2022-07-21", word: "voice" },
+  { date: "2022-07-22", word: "stead" },
+  { date: "2022-07-23", word: "stalk" },
+  { date: "2022-07-24", word: "berth" },
+  { date: "2022-07-25", word: "madam" },
+  { date: "2022-07-26", word: "night" },
+  { date: "2022-07-27", word: "bland" },
+  { date: "2022-07-28", word: "liver" },
+  { date: "2022-07-29", word: "wedge" },
+  { date: "2022-07-30", word: "augur" },
+  { date: "2022-07-31", word: "roomy" },
+  { date: "2022-08-01", word: "wacky" },
+  { date: "2022-08-02", word: "flock" },
+  { date: "2022-08-03", word: "angry" },
+  { date: "2022-08-04", word: "bobby" },
+  { date: "2022-08-05", word: "trite" },
+  { date: "2022-08-06", word: "aphid" },
+  { date: "2022-08-07", word: "tryst" },
+  { date: "2022-08-08", word: "midge" },
+  { date: "2022-08-09", word: "power" },
+  { date: "2022-08-10", word: "elope" },
+  { date: "2022-08-11", word: "cinch" },
+  { date: "2022-08-12", word: "motto" },
+  { date: "2022-08-13", word: "stomp" },
+  { date: "2022-08-14", word: "upset" },
+  { date: "2022-08-15", word: "bluff" },
+  { date: "2022-08-16", word: "cramp" },
+  { date: "2022-08-17", word: "quart" },
+  { date: "2022-08-18", word: "coyly" },
+  { date: "2022-08-19", word: "youth" },
+  { date: "2022-08-20", word: "rhyme" },
+  { date: "2022-08-21", word: "buggy" },
+  { date: "2022-08-22", word: "alien" },
+  { date: "2022-08-23", word: "smear" },
+  { date: "2022-08-24", word: "unfit" },
+  { date: "2022-08-25", word: "patty" },
+  { date: "2022-08-26", word: "cling" },
+  { date: "2022-08-27", word: "glean" },
+  { date: "2022-08-28", word: "label" },
+  { date: "2022-08-29", word: "hunky" },
+  { date: "2022-08-30", word: "khaki" },
+  { date: "2022-08-31", word: "poker" },
+  { date: "2022-09-01", word: "gruel" },
+  { date: "2022-09-02", word: "twice" },
+  { date: "2022-09-03", word: "twang" },
+  { date: "2022-09-04", word: "shrug" },
+  { date: "2022-09-05", word: "treat" },
+  { date: "2022-09-06", word: "unlit" },
+  { date: "2022-09-07", word: "waste" },
+  { date: "2022-09-08", word: "merit" },
+  { date: "2022-09-09", word: "woven" },
+  { date: "2022-09-10", word: "octal" },
+  { date: "2022-09-11", word: "needy" },
+  { date: "2022-09-12", word: "clown" },
+  { date: "2022-09-13", word: "widow" },
+  { date: "2022-09-14", word: "irony" },
+  { date: "2022-09-15", word: "ruder" },
+  { date: "2022-09-16", word: "gauze" },
+  { date: "2022-09-17", word: "chief" },
+  { date: "2022-09-18", word: "onset" },
+  { date: "2022-09-19", word: "prize" },
+  { date: "2022-09-20", word: "fungi" },
+  { date: "2022-09-21", word: "charm" },
+  { date: "2022-09-22", word: "gully" },
+  { date: "2022-09-23", word: "inter" },
+  { date: "2022-09-24", word: "whoop" },
+  { date: "2022-09-25", word: "taunt" },
+  { date: "2022-09-26", word: "leery" },
+  { date: "2022-09-27", word: "class" },
+  { date: "2022-09-28", word: "theme" },
+  { date: "2022-09-29", word: "lofty" },
+  { date: "2022-09-30", word: "tibia" },
+  { date: "2022-10-01", word: "booze" },
+  { date: "2022-10-02", word: "alpha" },
+  { date: "2022-10-03", word: "thyme" },
+  { date: "2022-10-04", word: "eclat" },
+  { date: "2022-10-05", word: "doubt" },
+  { date: "2022-10-06", word: "parer" },
+  { date: "2022-10-07", word: "chute" },
+  { date: "2022-10-08", word: "stick" },
+  { date: "2022-10-09", word: "trice" },
+  { date: "2022-10-10", word: "alike" },
+  { date: "2022-10-11", word: "sooth" },
+  { date: "2022-10-12", word: "recap" },
+  { date: "2022-10-13", word: "saint" },
+  { date: "2022-10-14", word: "liege" },
+  { date: "2022-10-15", word: "glory" },
+  { date: "2022-10-16", word: "grate" },
+  { date: "2022-10-17", word: "admit" },
+  { date: "2022-10-18", word: "brisk" },
+  { date: "2022-10-19", word: "soggy" },
+  { date: "2022-10-20", word: "usurp" },
+  { date: "2022-10-21", word: "scald" },
+  { date: "2022-10-22", word: "scorn" },
+  { date: "2022-10-23", word: "leave" },
+  { date: "2022-10-24", word: "twine" },
+  { date: "2022-10-25", word: "sting" },
+  { date: "2022-10-26", word: "bough" },
+  { date: "2022-10-27", word: "marsh" },
+  { date: "2022-10-28", word: "sloth" },
+  { date: "2022-10-29", word: "dandy" },
+  { date: "2022-10-30", word: "vigor" },
+  { date: "2022-10-31", word: "howdy" },
+  { date: "2022-11-01", word: "enjoy" },
+  { date: "2022-11-02", word: "valid" },
+  { date: "2022-11-03", word: "ionic" },
+  { date: "2022-11-04", word: "equal" },
+  { date: "2022-11-05", word: "unset" },
+  { date: "2022-11-06", word: "floor" }
+];
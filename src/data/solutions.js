@@ -2,66 +2,2377 @@
 // 
 // COMPREHENSIVE 5-LETTER WORD LIST
 // 
-// This list contains 11,746 valid 5-letter words including:
-// - Original Wordle answers (~2,314 curated words)
-// - Additional valid guesses (~10,656 words)
+// Split into two lists:
+// - ANSWERS_LIST: the original curated Wordle answers (2,315 words)
+// - VALID_GUESSES_LIST: additional words Wordle accepts as guesses but never uses as answers
 // 
 // Sources:
 // - Wordle answers: https://gist.github.com/cfreshman/a03ef2cba789d8cf00c08f767e0fad7b
 // - Valid guesses: https://gist.github.com/cfreshman/cdcdf777450c5b5301e439061d29694c
 // 
-// Last updated: 2026-01-06
+// Last updated: 2026-10-19
 
 /**
- * Complete list of valid 5-letter words for Wordle
- * Total: 11,746 words
+ * Curated Wordle answers (words that can be the daily solution)
+ * Total: 2315 words
  */
-export const SOLUTIONS_LIST = [
+export const ANSWERS_LIST = [
+  "aback",
+  "abase",
+  "abate",
+  "abbey",
+  "abbot",
+  "abhor",
+  "abide",
+  "abled",
+  "abode",
+  "abort",
+  "about",
+  "above",
+  "abuse",
+  "abyss",
+  "acorn",
+  "acrid",
+  "actor",
+  "acute",
+  "adage",
+  "adapt",
+  "adept",
+  "admin",
+  "admit",
+  "adobe",
+  "adopt",
+  "adore",
+  "adorn",
+  "adult",
+  "affix",
+  "afire",
+  "afoot",
+  "afoul",
+  "after",
+  "again",
+  "agape",
+  "agate",
+  "agent",
+  "agile",
+  "aging",
+  "aglow",
+  "agony",
+  "agora",
+  "agree",
+  "ahead",
+  "aider",
+  "aisle",
+  "alarm",
+  "album",
+  "alert",
+  "algae",
+  "alibi",
+  "alien",
+  "align",
+  "alike",
+  "alive",
+  "allay",
+  "alley",
+  "allot",
+  "allow",
+  "alloy",
+  "aloft",
+  "alone",
+  "along",
+  "aloof",
+  "aloud",
+  "alpha",
+  "altar",
+  "alter",
+  "amass",
+  "amaze",
+  "amber",
+  "amble",
+  "amend",
+  "amiss",
+  "amity",
+  "among",
+  "ample",
+  "amply",
+  "amuse",
+  "angel",
+  "anger",
+  "angle",
+  "angry",
+  "angst",
+  "anime",
+  "ankle",
+  "annex",
+  "annoy",
+  "annul",
+  "anode",
+  "antic",
+  "anvil",
+  "aorta",
+  "apart",
+  "aphid",
+  "aping",
+  "apnea",
+  "apple",
+  "apply",
+  "apron",
+  "aptly",
+  "arbor",
+  "ardor",
+  "arena",
+  "argue",
+  "arise",
+  "armor",
+  "aroma",
+  "arose",
+  "array",
+  "arrow",
+  "arson",
+  "artsy",
+  "ascot",
+  "ashen",
+  "aside",
+  "askew",
+  "assay",
+  "asset",
+  "atoll",
+  "atone",
+  "attic",
+  "audio",
+  "audit",
+  "augur",
+  "aunty",
+  "avail",
+  "avert",
+  "avian",
+  "avoid",
+  "await",
+  "awake",
+  "award",
+  "aware",
+  "awash",
+  "awful",
+  "awoke",
+  "axial",
+  "axiom",
+  "axion",
+  "azure",
+  "bacon",
+  "badge",
+  "badly",
+  "bagel",
+  "baggy",
+  "baker",
+  "baler",
+  "balmy",
+  "banal",
+  "banjo",
+  "barge",
+  "baron",
+  "basal",
+  "basic",
+  "basil",
+  "basin",
+  "basis",
+  "baste",
+  "batch",
+  "bathe",
+  "baton",
+  "batty",
+  "bawdy",
+  "bayou",
+  "beach",
+  "beady",
+  "beard",
+  "beast",
+  "beech",
+  "beefy",
+  "befit",
+  "began",
+  "begat",
+  "beget",
+  "begin",
+  "begun",
+  "being",
+  "belch",
+  "belie",
+  "belle",
+  "belly",
+  "below",
+  "bench",
+  "beret",
+  "berry",
+  "berth",
+  "beset",
+  "betel",
+  "bevel",
+  "bezel",
+  "bible",
+  "bicep",
+  "biddy",
+  "bigot",
+  "bilge",
+  "billy",
+  "binge",
+  "bingo",
+  "biome",
+  "birch",
+  "birth",
+  "bison",
+  "bitty",
+  "black",
+  "blade",
+  "blame",
+  "bland",
+  "blank",
+  "blare",
+  "blast",
+  "blaze",
+  "bleak",
+  "bleat",
+  "bleed",
+  "bleep",
+  "blend",
+  "bless",
+  "blimp",
+  "blind",
+  "blink",
+  "bliss",
+  "blitz",
+  "bloat",
+  "block",
+  "bloke",
+  "blond",
+  "blood",
+  "bloom",
+  "blown",
+  "bluer",
+  "bluff",
+  "blunt",
+  "blurb",
+  "blurt",
+  "blush",
+  "board",
+  "boast",
+  "bobby",
+  "boney",
+  "bongo",
+  "bonus",
+  "booby",
+  "boost",
+  "booth",
+  "booty",
+  "booze",
+  "boozy",
+  "borax",
+  "borne",
+  "bosom",
+  "bossy",
+  "botch",
+  "bough",
+  "boule",
+  "bound",
+  "bowel",
+  "boxer",
+  "brace",
+  "braid",
+  "brain",
+  "brake",
+  "brand",
+  "brash",
+  "brass",
+  "brave",
+  "bravo",
+  "brawl",
+  "brawn",
+  "bread",
+  "break",
+  "breed",
+  "briar",
+  "bribe",
+  "brick",
+  "bride",
+  "brief",
+  "brine",
+  "bring",
+  "brink",
+  "briny",
+  "brisk",
+  "broad",
+  "broil",
+  "broke",
+  "brood",
+  "brook",
+  "broom",
+  "broth",
+  "brown",
+  "brunt",
+  "brush",
+  "brute",
+  "buddy",
+  "budge",
+  "buggy",
+  "bugle",
+  "build",
+  "built",
+  "bulge",
+  "bulky",
+  "bully",
+  "bunch",
+  "bunny",
+  "burly",
+  "burnt",
+  "burst",
+  "bused",
+  "bushy",
+  "butch",
+  "butte",
+  "buxom",
+  "buyer",
+  "bylaw",
+  "cabal",
+  "cabby",
+  "cabin",
+  "cable",
+  "cacao",
+  "cache",
+  "cacti",
+  "caddy",
+  "cadet",
+  "cagey",
+  "cairn",
+  "camel",
+  "cameo",
+  "canal",
+  "candy",
+  "canny",
+  "canoe",
+  "canon",
+  "caper",
+  "caput",
+  "carat",
+  "cargo",
+  "carol",
+  "carry",
+  "carve",
+  "caste",
+  "catch",
+  "cater",
+  "catty",
+  "caulk",
+  "cause",
+  "cavil",
+  "cease",
+  "cedar",
+  "cello",
+  "chafe",
+  "chaff",
+  "chain",
+  "chair",
+  "chalk",
+  "champ",
+  "chant",
+  "chaos",
+  "chard",
+  "charm",
+  "chart",
+  "chase",
+  "chasm",
+  "cheap",
+  "cheat",
+  "check",
+  "cheek",
+  "cheer",
+  "chess",
+  "chest",
+  "chick",
+  "chide",
+  "chief",
+  "child",
+  "chili",
+  "chill",
+  "chime",
+  "china",
+  "chirp",
+  "chock",
+  "choir",
+  "choke",
+  "chord",
+  "chore",
+  "chose",
+  "chuck",
+  "chump",
+  "chunk",
+  "churn",
+  "chute",
+  "cider",
+  "cigar",
+  "cinch",
+  "circa",
+  "civic",
+  "civil",
+  "clack",
+  "claim",
+  "clamp",
+  "clang",
+  "clank",
+  "clash",
+  "clasp",
+  "class",
+  "clean",
+  "clear",
+  "cleat",
+  "cleft",
+  "clerk",
+  "click",
+  "cliff",
+  "climb",
+  "cling",
+  "clink",
+  "cloak",
+  "clock",
+  "clone",
+  "close",
+  "cloth",
+  "cloud",
+  "clout",
+  "clove",
+  "clown",
+  "cluck",
+  "clued",
+  "clump",
+  "clung",
+  "coach",
+  "coast",
+  "cobra",
+  "cocoa",
+  "colon",
+  "color",
+  "comet",
+  "comfy",
+  "comic",
+  "comma",
+  "conch",
+  "condo",
+  "conic",
+  "copse",
+  "coral",
+  "corer",
+  "corny",
+  "couch",
+  "cough",
+  "could",
+  "count",
+  "coupe",
+  "court",
+  "coven",
+  "cover",
+  "covet",
+  "covey",
+  "cower",
+  "coyly",
+  "crack",
+  "craft",
+  "cramp",
+  "crane",
+  "crank",
+  "crash",
+  "crass",
+  "crate",
+  "crave",
+  "crawl",
+  "craze",
+  "crazy",
+  "creak",
+  "cream",
+  "credo",
+  "creed",
+  "creek",
+  "creep",
+  "creme",
+  "crepe",
+  "crept",
+  "cress",
+  "crest",
+  "crick",
+  "cried",
+  "crier",
+  "crime",
+  "crimp",
+  "crisp",
+  "croak",
+  "crock",
+  "crone",
+  "crony",
+  "crook",
+  "cross",
+  "croup",
+  "crowd",
+  "crown",
+  "crude",
+  "cruel",
+  "crumb",
+  "crump",
+  "crush",
+  "crust",
+  "crypt",
+  "cubic",
+  "cumin",
+  "curio",
+  "curly",
+  "curry",
+  "curse",
+  "curve",
+  "curvy",
+  "cutie",
+  "cyber",
+  "cycle",
+  "cynic",
+  "daddy",
+  "daily",
+  "dairy",
+  "daisy",
+  "dally",
+  "dance",
+  "dandy",
+  "datum",
+  "daunt",
+  "dealt",
+  "death",
+  "debar",
+  "debit",
+  "debug",
+  "debut",
+  "decal",
+  "decay",
+  "decor",
+  "decoy",
+  "decry",
+  "defer",
+  "deign",
+  "deity",
+  "delay",
+  "delta",
+  "delve",
+  "demon",
+  "demur",
+  "denim",
+  "dense",
+  "depot",
+  "depth",
+  "derby",
+  "deter",
+  "detox",
+  "deuce",
+  "devil",
+  "diary",
+  "dicey",
+  "digit",
+  "dilly",
+  "dimly",
+  "diner",
+  "dingo",
+  "dingy",
+  "diode",
+  "dirge",
+  "dirty",
+  "disco",
+  "ditch",
+  "ditto",
+  "ditty",
+  "diver",
+  "dizzy",
+  "dodge",
+  "dodgy",
+  "dogma",
+  "doing",
+  "dolly",
+  "donor",
+  "donut",
+  "dopey",
+  "doubt",
+  "dough",
+  "dowdy",
+  "dowel",
+  "downy",
+  "dowry",
+  "dozen",
+  "draft",
+  "drain",
+  "drake",
+  "drama",
+  "drank",
+  "drape",
+  "drawl",
+  "drawn",
+  "dread",
+  "dream",
+  "dress",
+  "dried",
+  "drier",
+  "drift",
+  "drill",
+  "drink",
+  "drive",
+  "droit",
+  "droll",
+  "drone",
+  "drool",
+  "droop",
+  "dross",
+  "drove",
+  "drown",
+  "druid",
+  "drunk",
+  "dryer",
+  "dryly",
+  "duchy",
+  "dully",
+  "dummy",
+  "dumpy",
+  "dunce",
+  "dusky",
+  "dusty",
+  "dutch",
+  "duvet",
+  "dwarf",
+  "dwell",
+  "dwelt",
+  "dying",
+  "eager",
+  "eagle",
+  "early",
+  "earth",
+  "easel",
+  "eaten",
+  "eater",
+  "ebony",
+  "eclat",
+  "edict",
+  "edify",
+  "eerie",
+  "egret",
+  "eight",
+  "eject",
+  "eking",
+  "elate",
+  "elbow",
+  "elder",
+  "elect",
+  "elegy",
+  "elfin",
+  "elide",
+  "elite",
+  "elope",
+  "elude",
+  "email",
+  "embed",
+  "ember",
+  "emcee",
+  "empty",
+  "enact",
+  "endow",
+  "enema",
+  "enemy",
+  "enjoy",
+  "ennui",
+  "ensue",
+  "enter",
+  "entry",
+  "envoy",
+  "epoch",
+  "epoxy",
+  "equal",
+  "equip",
+  "erase",
+  "erect",
+  "erode",
+  "error",
+  "erupt",
+  "essay",
+  "ester",
+  "ether",
+  "ethic",
+  "ethos",
+  "etude",
+  "evade",
+  "event",
+  "every",
+  "evict",
+  "evoke",
+  "exact",
+  "exalt",
+  "excel",
+  "exert",
+  "exile",
+  "exist",
+  "expel",
+  "extol",
+  "extra",
+  "exult",
+  "eying",
+  "fable",
+  "facet",
+  "faint",
+  "fairy",
+  "faith",
+  "false",
+  "fancy",
+  "fanny",
+  "farce",
+  "fatal",
+  "fatty",
+  "fault",
+  "fauna",
+  "favor",
+  "feast",
+  "fecal",
+  "feign",
+  "fella",
+  "felon",
+  "femme",
+  "femur",
+  "fence",
+  "feral",
+  "ferry",
+  "fetal",
+  "fetch",
+  "fetid",
+  "fetus",
+  "fever",
+  "fewer",
+  "fiber",
+  "fibre",
+  "ficus",
+  "field",
+  "fiend",
+  "fiery",
+  "fifth",
+  "fifty",
+  "fight",
+  "filer",
+  "filet",
+  "filly",
+  "filmy",
+  "filth",
+  "final",
+  "finch",
+  "finer",
+  "first",
+  "fishy",
+  "fixer",
+  "fizzy",
+  "fjord",
+  "flack",
+  "flail",
+  "flair",
+  "flake",
+  "flaky",
+  "flame",
+  "flank",
+  "flare",
+  "flash",
+  "flask",
+  "fleck",
+  "fleet",
+  "flesh",
+  "flick",
+  "flier",
+  "fling",
+  "flint",
+  "flirt",
+  "float",
+  "flock",
+  "flood",
+  "floor",
+  "flora",
+  "floss",
+  "flour",
+  "flout",
+  "flown",
+  "fluff",
+  "fluid",
+  "fluke",
+  "flume",
+  "flung",
+  "flunk",
+  "flush",
+  "flute",
+  "flyer",
+  "foamy",
+  "focal",
+  "focus",
+  "foggy",
+  "foist",
+  "folio",
+  "folly",
+  "foray",
+  "force",
+  "forge",
+  "forgo",
+  "forte",
+  "forth",
+  "forty",
+  "forum",
+  "found",
+  "foyer",
+  "frail",
+  "frame",
+  "frank",
+  "fraud",
+  "freak",
+  "freed",
+  "freer",
+  "fresh",
+  "friar",
+  "fried",
+  "frill",
+  "frisk",
+  "fritz",
+  "frock",
+  "frond",
+  "front",
+  "frost",
+  "froth",
+  "frown",
+  "froze",
+  "fruit",
+  "fudge",
+  "fugue",
+  "fully",
+  "fungi",
+  "funky",
+  "funny",
+  "furor",
+  "furry",
+  "fussy",
+  "fuzzy",
+  "gaffe",
+  "gaily",
+  "gamer",
+  "gamma",
+  "gamut",
+  "gassy",
+  "gaudy",
+  "gauge",
+  "gaunt",
+  "gauze",
+  "gavel",
+  "gawky",
+  "gayer",
+  "gayly",
+  "gazer",
+  "gecko",
+  "geeky",
+  "geese",
+  "genie",
+  "genre",
+  "ghost",
+  "ghoul",
+  "giant",
+  "giddy",
+  "gipsy",
+  "girly",
+  "girth",
+  "given",
+  "giver",
+  "glade",
+  "gland",
+  "glare",
+  "glass",
+  "glaze",
+  "gleam",
+  "glean",
+  "glide",
+  "glint",
+  "gloat",
+  "globe",
+  "gloom",
+  "glory",
+  "gloss",
+  "glove",
+  "glyph",
+  "gnash",
+  "gnome",
+  "godly",
+  "going",
+  "golem",
+  "golly",
+  "gonad",
+  "goner",
+  "goody",
+  "gooey",
+  "goofy",
+  "goose",
+  "gorge",
+  "gouge",
+  "gourd",
+  "grace",
+  "grade",
+  "graft",
+  "grail",
+  "grain",
+  "grand",
+  "grant",
+  "grape",
+  "graph",
+  "grasp",
+  "grass",
+  "grate",
+  "grave",
+  "gravy",
+  "graze",
+  "great",
+  "greed",
+  "green",
+  "greet",
+  "grief",
+  "grill",
+  "grime",
+  "grimy",
+  "grind",
+  "gripe",
+  "groan",
+  "groin",
+  "groom",
+  "grope",
+  "gross",
+  "group",
+  "grout",
+  "grove",
+  "growl",
+  "grown",
+  "gruel",
+  "gruff",
+  "grunt",
+  "guard",
+  "guava",
+  "guess",
+  "guest",
+  "guide",
+  "guild",
+  "guile",
+  "guilt",
+  "guise",
+  "gulch",
+  "gully",
+  "gumbo",
+  "gummy",
+  "guppy",
+  "gusto",
+  "gusty",
+  "gypsy",
+  "habit",
+  "hairy",
+  "halve",
+  "handy",
+  "happy",
+  "hardy",
+  "harem",
+  "harpy",
+  "harry",
+  "harsh",
+  "haste",
+  "hasty",
+  "hatch",
+  "hater",
+  "haunt",
+  "haute",
+  "haven",
+  "havoc",
+  "hazel",
+  "heady",
+  "heard",
+  "heart",
+  "heath",
+  "heave",
+  "heavy",
+  "hedge",
+  "hefty",
+  "heist",
+  "helix",
+  "hello",
+  "hence",
+  "heron",
+  "hilly",
+  "hinge",
+  "hippo",
+  "hippy",
+  "hitch",
+  "hoard",
+  "hobby",
+  "hoist",
+  "holly",
+  "homer",
+  "honey",
+  "honor",
+  "horde",
+  "horny",
+  "horse",
+  "hotel",
+  "hotly",
+  "hound",
+  "house",
+  "hovel",
+  "hover",
+  "howdy",
+  "human",
+  "humid",
+  "humor",
+  "humph",
+  "humus",
+  "hunch",
+  "hunky",
+  "hurry",
+  "husky",
+  "hussy",
+  "hutch",
+  "hydro",
+  "hyena",
+  "hymen",
+  "hyper",
+  "icily",
+  "icing",
+  "ideal",
+  "idiom",
+  "idiot",
+  "idler",
+  "idyll",
+  "igloo",
+  "iliac",
+  "image",
+  "imbue",
+  "impel",
+  "imply",
+  "inane",
+  "inbox",
+  "incur",
+  "index",
+  "inept",
+  "inert",
+  "infer",
+  "ingot",
+  "inlay",
+  "inlet",
+  "inner",
+  "input",
+  "inter",
+  "intro",
+  "ionic",
+  "irate",
+  "irony",
+  "islet",
+  "issue",
+  "itchy",
+  "ivory",
+  "jaunt",
+  "jazzy",
+  "jelly",
+  "jerky",
+  "jetty",
+  "jewel",
+  "jiffy",
+  "joint",
+  "joist",
+  "joker",
+  "jolly",
+  "joust",
+  "judge",
+  "juice",
+  "juicy",
+  "jumbo",
+  "jumpy",
+  "junta",
+  "junto",
+  "juror",
+  "kappa",
+  "karma",
+  "kayak",
+  "kebab",
+  "khaki",
+  "kinky",
+  "kiosk",
+  "kitty",
+  "knack",
+  "knave",
+  "knead",
+  "kneed",
+  "kneel",
+  "knelt",
+  "knife",
+  "knock",
+  "knoll",
+  "known",
+  "koala",
+  "krill",
+  "label",
+  "labor",
+  "laden",
+  "ladle",
+  "lager",
+  "lance",
+  "lanky",
+  "lapel",
+  "lapse",
+  "large",
+  "larva",
+  "lasso",
+  "latch",
+  "later",
+  "lathe",
+  "latte",
+  "laugh",
+  "layer",
+  "leach",
+  "leafy",
+  "leaky",
+  "leant",
+  "leapt",
+  "learn",
+  "lease",
+  "leash",
+  "least",
+  "leave",
+  "ledge",
+  "leech",
+  "leery",
+  "lefty",
+  "legal",
+  "leggy",
+  "lemon",
+  "lemur",
+  "leper",
+  "level",
+  "lever",
+  "libel",
+  "liege",
+  "light",
+  "liken",
+  "lilac",
+  "limbo",
+  "limit",
+  "linen",
+  "liner",
+  "lingo",
+  "lipid",
+  "lithe",
+  "liver",
+  "livid",
+  "llama",
+  "loamy",
+  "loath",
+  "lobby",
+  "local",
+  "locus",
+  "lodge",
+  "lofty",
+  "logic",
+  "login",
+  "loopy",
+  "loose",
+  "lorry",
+  "loser",
+  "louse",
+  "lousy",
+  "lover",
+  "lower",
+  "lowly",
+  "loyal",
+  "lucid",
+  "lucky",
+  "lumen",
+  "lumpy",
+  "lunar",
+  "lunch",
+  "lunge",
+  "lupus",
+  "lurch",
+  "lurid",
+  "lusty",
+  "lying",
+  "lymph",
+  "lynch",
+  "lyric",
+  "macaw",
+  "macho",
+  "macro",
+  "madam",
+  "madly",
+  "mafia",
+  "magic",
+  "magma",
+  "maize",
+  "major",
+  "maker",
+  "mambo",
+  "mamma",
+  "mammy",
+  "manga",
+  "mange",
+  "mango",
+  "mangy",
+  "mania",
+  "manic",
+  "manly",
+  "manor",
+  "maple",
+  "march",
+  "marry",
+  "marsh",
+  "mason",
+  "masse",
+  "match",
+  "matey",
+  "mauve",
+  "maxim",
+  "maybe",
+  "mayor",
+  "mealy",
+  "meant",
+  "meaty",
+  "mecca",
+  "medal",
+  "media",
+  "medic",
+  "melee",
+  "melon",
+  "mercy",
+  "merge",
+  "merit",
+  "merry",
+  "metal",
+  "meter",
+  "metro",
+  "micro",
+  "midge",
+  "midst",
+  "might",
+  "milky",
+  "mimic",
+  "mince",
+  "miner",
+  "minim",
+  "minor",
+  "minty",
+  "minus",
+  "mirth",
+  "miser",
+  "missy",
+  "mocha",
+  "modal",
+  "model",
+  "modem",
+  "mogul",
+  "moist",
+  "molar",
+  "moldy",
+  "money",
+  "month",
+  "moody",
+  "moose",
+  "moral",
+  "moron",
+  "morph",
+  "mossy",
+  "motel",
+  "motif",
+  "motor",
+  "motto",
+  "moult",
+  "mound",
+  "mount",
+  "mourn",
+  "mouse",
+  "mouth",
+  "mover",
+  "movie",
+  "mower",
+  "mucky",
+  "mucus",
+  "muddy",
+  "mulch",
+  "mummy",
+  "munch",
+  "mural",
+  "murky",
+  "mushy",
+  "music",
+  "musky",
+  "musty",
+  "myrrh",
+  "nadir",
+  "naive",
+  "nanny",
+  "nasal",
+  "nasty",
+  "natal",
+  "naval",
+  "navel",
+  "needy",
+  "neigh",
+  "nerdy",
+  "nerve",
+  "never",
+  "newer",
+  "newly",
+  "nicer",
+  "niche",
+  "niece",
+  "night",
+  "ninja",
+  "ninny",
+  "ninth",
+  "noble",
+  "nobly",
+  "noise",
+  "noisy",
+  "nomad",
+  "noose",
+  "north",
+  "nosey",
+  "notch",
+  "novel",
+  "nudge",
+  "nurse",
+  "nutty",
+  "nylon",
+  "nymph",
+  "oaken",
+  "obese",
+  "occur",
+  "ocean",
+  "octal",
+  "octet",
+  "odder",
+  "oddly",
+  "offal",
+  "offer",
+  "often",
+  "olden",
+  "older",
+  "olive",
+  "ombre",
+  "omega",
+  "onion",
+  "onset",
+  "opera",
+  "opine",
+  "opium",
+  "optic",
+  "orbit",
+  "order",
+  "organ",
+  "other",
+  "otter",
+  "ought",
+  "ounce",
+  "outdo",
+  "outer",
+  "outgo",
+  "ovary",
+  "ovate",
+  "overt",
+  "ovine",
+  "ovoid",
+  "owing",
+  "owner",
+  "oxide",
+  "ozone",
+  "paddy",
+  "pagan",
+  "paint",
+  "paler",
+  "palsy",
+  "panel",
+  "panic",
+  "pansy",
+  "papal",
+  "paper",
+  "parer",
+  "parka",
+  "parry",
+  "parse",
+  "party",
+  "pasta",
+  "paste",
+  "pasty",
+  "patch",
+  "patio",
+  "patsy",
+  "patty",
+  "pause",
+  "payee",
+  "payer",
+  "peace",
+  "peach",
+  "pearl",
+  "pecan",
+  "pedal",
+  "penal",
+  "pence",
+  "penne",
+  "penny",
+  "perch",
+  "peril",
+  "perky",
+  "pesky",
+  "pesto",
+  "petal",
+  "petty",
+  "phase",
+  "phone",
+  "phony",
+  "photo",
+  "piano",
+  "picky",
+  "piece",
+  "piety",
+  "piggy",
+  "pilot",
+  "pinch",
+  "piney",
+  "pinky",
+  "pinto",
+  "piper",
+  "pique",
+  "pitch",
+  "pithy",
+  "pivot",
+  "pixel",
+  "pixie",
+  "pizza",
+  "place",
+  "plaid",
+  "plain",
+  "plait",
+  "plane",
+  "plank",
+  "plant",
+  "plate",
+  "plaza",
+  "plead",
+  "pleat",
+  "plied",
+  "plier",
+  "pluck",
+  "plumb",
+  "plume",
+  "plump",
+  "plunk",
+  "plush",
+  "poesy",
+  "point",
+  "poise",
+  "poker",
+  "polar",
+  "polka",
+  "polyp",
+  "pooch",
+  "poppy",
+  "porch",
+  "poser",
+  "posit",
+  "posse",
+  "pouch",
+  "pound",
+  "pouty",
+  "power",
+  "prank",
+  "prawn",
+  "preen",
+  "press",
+  "price",
+  "prick",
+  "pride",
+  "pried",
+  "prime",
+  "primo",
+  "print",
+  "prior",
+  "prism",
+  "privy",
+  "prize",
+  "probe",
+  "prone",
+  "prong",
+  "proof",
+  "prose",
+  "proud",
+  "prove",
+  "prowl",
+  "proxy",
+  "prude",
+  "prune",
+  "psalm",
+  "pubic",
+  "pudgy",
+  "puffy",
+  "pulpy",
+  "pulse",
+  "punch",
+  "pupal",
+  "pupil",
+  "puppy",
+  "puree",
+  "purer",
+  "purge",
+  "purse",
+  "pushy",
+  "putty",
+  "pygmy",
+  "quack",
+  "quail",
+  "quake",
+  "qualm",
+  "quark",
+  "quart",
+  "quash",
+  "quasi",
+  "queen",
+  "queer",
+  "quell",
+  "query",
+  "quest",
+  "queue",
+  "quick",
+  "quiet",
+  "quill",
+  "quilt",
+  "quirk",
+  "quite",
+  "quota",
+  "quote",
+  "quoth",
+  "rabbi",
+  "rabid",
+  "racer",
+  "radar",
+  "radii",
+  "radio",
+  "rainy",
+  "raise",
+  "rajah",
+  "rally",
+  "ralph",
+  "ramen",
+  "ranch",
+  "randy",
+  "range",
+  "rapid",
+  "rarer",
+  "raspy",
+  "ratio",
+  "ratty",
+  "raven",
+  "rayon",
+  "razor",
+  "reach",
+  "react",
+  "ready",
+  "realm",
+  "rearm",
+  "rebar",
+  "rebel",
+  "rebus",
+  "rebut",
+  "recap",
+  "recur",
+  "recut",
+  "reedy",
+  "refer",
+  "refit",
+  "regal",
+  "rehab",
+  "reign",
+  "relax",
+  "relay",
+  "relic",
+  "remit",
+  "renal",
+  "renew",
+  "repay",
+  "repel",
+  "reply",
+  "rerun",
+  "reset",
+  "resin",
+  "retch",
+  "retro",
+  "retry",
+  "reuse",
+  "revel",
+  "revue",
+  "rhino",
+  "rhyme",
+  "rider",
+  "ridge",
+  "rifle",
+  "right",
+  "rigid",
+  "rigor",
+  "rinse",
+  "ripen",
+  "riper",
+  "risen",
+  "riser",
+  "risky",
+  "rival",
+  "river",
+  "rivet",
+  "roach",
+  "roast",
+  "robin",
+  "robot",
+  "rocky",
+  "rodeo",
+  "roger",
+  "rogue",
+  "roomy",
+  "roost",
+  "rotor",
+  "rouge",
+  "rough",
+  "round",
+  "rouse",
+  "route",
+  "rover",
+  "rowdy",
+  "rower",
+  "royal",
+  "ruddy",
+  "ruder",
+  "rugby",
+  "ruler",
+  "rumba",
+  "rumor",
+  "rupee",
+  "rural",
+  "rusty",
+  "sadly",
+  "safer",
+  "saint",
+  "salad",
+  "sally",
+  "salon",
+  "salsa",
+  "salty",
+  "salve",
+  "salvo",
+  "sandy",
+  "saner",
+  "sappy",
+  "sassy",
+  "satin",
+  "satyr",
+  "sauce",
+  "saucy",
+  "sauna",
+  "saute",
+  "savor",
+  "savoy",
+  "savvy",
+  "scald",
+  "scale",
+  "scalp",
+  "scaly",
+  "scamp",
+  "scant",
+  "scare",
+  "scarf",
+  "scary",
+  "scene",
+  "scent",
+  "scion",
+  "scoff",
+  "scold",
+  "scone",
+  "scoop",
+  "scope",
+  "score",
+  "scorn",
+  "scour",
+  "scout",
+  "scowl",
+  "scram",
+  "scrap",
+  "scree",
+  "screw",
+  "scrub",
+  "scrum",
+  "scuba",
+  "sedan",
+  "seedy",
+  "segue",
+  "seize",
+  "semen",
+  "sense",
+  "sepia",
+  "serif",
+  "serum",
+  "serve",
+  "setup",
+  "seven",
+  "sever",
+  "sewer",
+  "shack",
+  "shade",
+  "shady",
+  "shaft",
+  "shake",
+  "shaky",
+  "shale",
+  "shall",
+  "shalt",
+  "shame",
+  "shank",
+  "shape",
+  "shard",
+  "share",
+  "shark",
+  "sharp",
+  "shave",
+  "shawl",
+  "shear",
+  "sheen",
+  "sheep",
+  "sheer",
+  "sheet",
+  "sheik",
+  "shelf",
+  "shell",
+  "shied",
+  "shift",
+  "shine",
+  "shiny",
+  "shire",
+  "shirk",
+  "shirt",
+  "shoal",
+  "shock",
+  "shone",
+  "shook",
+  "shoot",
+  "shore",
+  "shorn",
+  "short",
+  "shout",
+  "shove",
+  "shown",
+  "showy",
+  "shrew",
+  "shrub",
+  "shrug",
+  "shuck",
+  "shunt",
+  "shush",
+  "shyly",
+  "siege",
+  "sieve",
+  "sight",
+  "sigma",
+  "silky",
+  "silly",
+  "since",
+  "sinew",
+  "singe",
+  "siren",
+  "sissy",
+  "sixth",
+  "sixty",
+  "skate",
+  "skier",
+  "skiff",
+  "skill",
+  "skimp",
+  "skirt",
+  "skulk",
+  "skull",
+  "skunk",
+  "slack",
+  "slain",
+  "slang",
+  "slant",
+  "slash",
+  "slate",
+  "slave",
+  "sleek",
+  "sleep",
+  "sleet",
+  "slept",
+  "slice",
+  "slick",
+  "slide",
+  "slime",
+  "slimy",
+  "sling",
+  "slink",
+  "sloop",
+  "slope",
+  "slosh",
+  "sloth",
+  "slump",
+  "slung",
+  "slunk",
+  "slurp",
+  "slush",
+  "slyly",
+  "smack",
+  "small",
+  "smart",
+  "smash",
+  "smear",
+  "smell",
+  "smelt",
+  "smile",
+  "smirk",
+  "smite",
+  "smith",
+  "smock",
+  "smoke",
+  "smoky",
+  "smote",
+  "snack",
+  "snail",
+  "snake",
+  "snaky",
+  "snare",
+  "snarl",
+  "sneak",
+  "sneer",
+  "snide",
+  "sniff",
+  "snipe",
+  "snoop",
+  "snore",
+  "snort",
+  "snout",
+  "snowy",
+  "snuck",
+  "snuff",
+  "soapy",
+  "sober",
+  "soggy",
+  "solar",
+  "solid",
+  "solve",
+  "sonar",
+  "sonic",
+  "sooth",
+  "sooty",
+  "sorry",
+  "sound",
+  "south",
+  "sower",
+  "space",
+  "spade",
+  "spank",
+  "spare",
+  "spark",
+  "spasm",
+  "spawn",
+  "speak",
+  "spear",
+  "speck",
+  "speed",
+  "spell",
+  "spelt",
+  "spend",
+  "spent",
+  "sperm",
+  "spice",
+  "spicy",
+  "spied",
+  "spiel",
+  "spike",
+  "spiky",
+  "spill",
+  "spilt",
+  "spine",
+  "spiny",
+  "spire",
+  "spite",
+  "splat",
+  "split",
+  "spoil",
+  "spoke",
+  "spoof",
+  "spook",
+  "spool",
+  "spoon",
+  "spore",
+  "sport",
+  "spout",
+  "spray",
+  "spree",
+  "sprig",
+  "spunk",
+  "spurn",
+  "spurt",
+  "squad",
+  "squat",
+  "squib",
+  "stack",
+  "staff",
+  "stage",
+  "staid",
+  "stain",
+  "stair",
+  "stake",
+  "stale",
+  "stalk",
+  "stall",
+  "stamp",
+  "stand",
+  "stank",
+  "stare",
+  "stark",
+  "start",
+  "stash",
+  "state",
+  "stave",
+  "stead",
+  "steak",
+  "steal",
+  "steam",
+  "steed",
+  "steel",
+  "steep",
+  "steer",
+  "stein",
+  "stern",
+  "stick",
+  "stiff",
+  "still",
+  "stilt",
+  "sting",
+  "stink",
+  "stint",
+  "stock",
+  "stoic",
+  "stoke",
+  "stole",
+  "stomp",
+  "stone",
+  "stony",
+  "stood",
+  "stool",
+  "stoop",
+  "store",
+  "stork",
+  "storm",
+  "story",
+  "stout",
+  "stove",
+  "strap",
+  "straw",
+  "stray",
+  "strip",
+  "strut",
+  "stuck",
+  "study",
+  "stuff",
+  "stump",
+  "stung",
+  "stunk",
+  "stunt",
+  "style",
+  "suave",
+  "sugar",
+  "suing",
+  "suite",
+  "sulky",
+  "sully",
+  "sumac",
+  "sunny",
+  "super",
+  "surer",
+  "surge",
+  "surly",
+  "sushi",
+  "swami",
+  "swamp",
+  "swarm",
+  "swash",
+  "swath",
+  "swear",
+  "sweat",
+  "sweep",
+  "sweet",
+  "swell",
+  "swept",
+  "swift",
+  "swill",
+  "swine",
+  "swing",
+  "swirl",
+  "swish",
+  "swoon",
+  "swoop",
+  "sword",
+  "swore",
+  "sworn",
+  "swung",
+  "synod",
+  "syrup",
+  "tabby",
+  "table",
+  "taboo",
+  "tacit",
+  "tacky",
+  "taffy",
+  "taint",
+  "taken",
+  "taker",
+  "tally",
+  "talon",
+  "tamer",
+  "tango",
+  "tangy",
+  "taper",
+  "tapir",
+  "tardy",
+  "tarot",
+  "taste",
+  "tasty",
+  "tatty",
+  "taunt",
+  "tawny",
+  "teach",
+  "teary",
+  "tease",
+  "teddy",
+  "teeth",
+  "tempo",
+  "tenet",
+  "tenor",
+  "tense",
+  "tenth",
+  "tepee",
+  "tepid",
+  "terra",
+  "terse",
+  "testy",
+  "thank",
+  "theft",
+  "their",
+  "theme",
+  "there",
+  "these",
+  "theta",
+  "thick",
+  "thief",
+  "thigh",
+  "thing",
+  "think",
+  "third",
+  "thong",
+  "thorn",
+  "those",
+  "three",
+  "threw",
+  "throb",
+  "throw",
+  "thrum",
+  "thumb",
+  "thump",
+  "thyme",
+  "tiara",
+  "tibia",
+  "tidal",
+  "tiger",
+  "tight",
+  "tilde",
+  "timer",
+  "timid",
+  "tipsy",
+  "titan",
+  "tithe",
+  "title",
+  "toast",
+  "today",
+  "toddy",
+  "token",
+  "tonal",
+  "tonga",
+  "tonic",
+  "tooth",
+  "topaz",
+  "topic",
+  "torch",
+  "torso",
+  "torus",
+  "total",
+  "totem",
+  "touch",
+  "tough",
+  "towel",
+  "tower",
+  "toxic",
+  "toxin",
+  "trace",
+  "track",
+  "tract",
+  "trade",
+  "trail",
+  "train",
+  "trait",
+  "tramp",
+  "trash",
+  "trawl",
+  "tread",
+  "treat",
+  "trend",
+  "triad",
+  "trial",
+  "tribe",
+  "trice",
+  "trick",
+  "tried",
+  "tripe",
+  "trite",
+  "troll",
+  "troop",
+  "trope",
+  "trout",
+  "trove",
+  "truce",
+  "truck",
+  "truer",
+  "truly",
+  "trump",
+  "trunk",
+  "truss",
+  "trust",
+  "truth",
+  "tryst",
+  "tubal",
+  "tuber",
+  "tulip",
+  "tulle",
+  "tumor",
+  "tunic",
+  "turbo",
+  "tutor",
+  "twang",
+  "tweak",
+  "tweed",
+  "tweet",
+  "twice",
+  "twine",
+  "twirl",
+  "twist",
+  "twixt",
+  "tying",
+  "udder",
+  "ulcer",
+  "ultra",
+  "umbra",
+  "uncle",
+  "uncut",
+  "under",
+  "undid",
+  "undue",
+  "unfed",
+  "unfit",
+  "unify",
+  "union",
+  "unite",
+  "unity",
+  "unlit",
+  "unmet",
+  "unset",
+  "untie",
+  "until",
+  "unwed",
+  "unzip",
+  "upper",
+  "upset",
+  "urban",
+  "urine",
+  "usage",
+  "usher",
+  "using",
+  "usual",
+  "usurp",
+  "utile",
+  "utter",
+  "vague",
+  "valet",
+  "valid",
+  "valor",
+  "value",
+  "valve",
+  "vapid",
+  "vapor",
+  "vault",
+  "vaunt",
+  "vegan",
+  "venom",
+  "venue",
+  "verge",
+  "verse",
+  "verso",
+  "verve",
+  "vicar",
+  "video",
+  "vigil",
+  "vigor",
+  "villa",
+  "vinyl",
+  "viola",
+  "viper",
+  "viral",
+  "virus",
+  "visit",
+  "visor",
+  "vista",
+  "vital",
+  "vivid",
+  "vixen",
+  "vocal",
+  "vodka",
+  "vogue",
+  "voice",
+  "voila",
+  "vomit",
+  "voter",
+  "vouch",
+  "vowel",
+  "vying",
+  "wacky",
+  "wafer",
+  "wager",
+  "wagon",
+  "waist",
+  "waive",
+  "waltz",
+  "warty",
+  "waste",
+  "watch",
+  "water",
+  "waver",
+  "waxen",
+  "weary",
+  "weave",
+  "wedge",
+  "weedy",
+  "weigh",
+  "weird",
+  "welch",
+  "welsh",
+  "wench",
+  "whack",
+  "whale",
+  "wharf",
+  "wheat",
+  "wheel",
+  "whelp",
+  "where",
+  "which",
+  "whiff",
+  "while",
+  "whine",
+  "whiny",
+  "whirl",
+  "whisk",
+  "white",
+  "whole",
+  "whoop",
+  "whose",
+  "widen",
+  "wider",
+  "widow",
+  "width",
+  "wield",
+  "wight",
+  "willy",
+  "wimpy",
+  "wince",
+  "winch",
+  "windy",
+  "wiser",
+  "wispy",
+  "witch",
+  "witty",
+  "woken",
+  "woman",
+  "women",
+  "woody",
+  "wooer",
+  "wooly",
+  "woozy",
+  "wordy",
+  "world",
+  "worry",
+  "worse",
+  "worst",
+  "worth",
+  "would",
+  "wound",
+  "woven",
+  "wrack",
+  "wrath",
+  "wreak",
+  "wreck",
+  "wrest",
+  "wring",
+  "wrist",
+  "write",
+  "wrong",
+  "wrote",
+  "wrung",
+  "wryly",
+  "yacht",
+  "yearn",
+  "yeast",
+  "yield",
+  "young",
+  "youth",
+  "zebra",
+  "zesty",
+  "zonal"
+];
+
+/**
+ * Valid guesses that are not in the answer list
+ * (cleaned by scripts/validateWordDefinitions.js)
+ * Total: 9432 words
+ */
+export const VALID_GUESSES_LIST = [
   "aalii",
   "aargh",
   "aarti",
   "abaca",
   "abaci",
-  "aback",
   "abacs",
   "abaft",
   "abaka",
   "abamp",
   "aband",
-  "abase",
   "abash",
   "abask",
-  "abate",
   "abaya",
   "abbas",
   "abbed",
   "abbes",
-  "abbey",
-  "abbot",
   "abcee",
   "abeam",
   "abear",
   "abele",
   "abets",
-  "abhor",
-  "abide",
   "abies",
-  "abled",
   "abler",
   "ables",
   "ablet",
   "ablow",
   "abmho",
-  "abode",
   "abohm",
   "aboil",
   "aboma",
   "aboon",
   "abord",
   "abore",
-  "abort",
-  "about",
-  "above",
   "abram",
   "abray",
   "abrim",
@@ -71,12 +2382,10 @@ export const SOLUTIONS_LIST = [
   "absit",
   "abuna",
   "abune",
-  "abuse",
   "abuts",
   "abuzz",
   "abyes",
   "abysm",
-  "abyss",
   "acais",
   "acari",
   "accas",
@@ -100,19 +2409,13 @@ export const SOLUTIONS_LIST = [
   "acnes",
   "acock",
   "acold",
-  "acorn",
   "acred",
   "acres",
-  "acrid",
   "acros",
   "acted",
   "actin",
   "acton",
-  "actor",
-  "acute",
   "acyls",
-  "adage",
-  "adapt",
   "adaws",
   "adays",
   "adbot",
@@ -121,26 +2424,18 @@ export const SOLUTIONS_LIST = [
   "adder",
   "addle",
   "adeem",
-  "adept",
   "adhan",
   "adieu",
   "adios",
   "adits",
   "adman",
   "admen",
-  "admin",
-  "admit",
   "admix",
-  "adobe",
   "adobo",
-  "adopt",
-  "adore",
-  "adorn",
   "adown",
   "adoze",
   "adrad",
   "aduki",
-  "adult",
   "adunc",
   "adust",
   "adyta",
@@ -154,26 +2449,17 @@ export const SOLUTIONS_LIST = [
   "aesir",
   "afara",
   "afear",
-  "affix",
-  "afire",
   "aflaj",
-  "afoot",
   "afore",
-  "afoul",
   "afrit",
   "afros",
-  "after",
-  "again",
   "agama",
   "agami",
-  "agape",
   "agars",
   "agast",
-  "agate",
   "agave",
   "agaze",
   "agene",
-  "agent",
   "agers",
   "agger",
   "aggie",
@@ -181,8 +2467,6 @@ export const SOLUTIONS_LIST = [
   "aggro",
   "aggry",
   "aghas",
-  "agile",
-  "aging",
   "agios",
   "agism",
   "agist",
@@ -191,22 +2475,17 @@ export const SOLUTIONS_LIST = [
   "aglet",
   "agley",
   "agloo",
-  "aglow",
   "aglus",
   "agmas",
   "agoge",
   "agone",
   "agons",
-  "agony",
   "agood",
-  "agora",
-  "agree",
   "agrin",
   "agued",
   "agues",
   "aguna",
   "aguti",
-  "ahead",
   "aheap",
   "ahigh",
   "ahind",
@@ -216,7 +2495,6 @@ export const SOLUTIONS_LIST = [
   "ahull",
   "ahuru",
   "aided",
-  "aider",
   "aides",
   "aidos",
   "aiery",
@@ -231,7 +2509,6 @@ export const SOLUTIONS_LIST = [
   "airns",
   "airth",
   "airts",
-  "aisle",
   "aitch",
   "aitus",
   "aiyee",
@@ -255,12 +2532,10 @@ export const SOLUTIONS_LIST = [
   "alant",
   "alapa",
   "alaps",
-  "alarm",
   "alary",
   "alate",
   "alays",
   "albas",
-  "album",
   "alcid",
   "alcos",
   "aldea",
@@ -270,37 +2545,25 @@ export const SOLUTIONS_LIST = [
   "alefs",
   "aleft",
   "aleph",
-  "alert",
   "alews",
   "alfas",
-  "algae",
   "algal",
   "algid",
   "algin",
   "algor",
   "algum",
   "alias",
-  "alibi",
-  "alien",
   "alifs",
-  "align",
-  "alike",
   "aline",
   "alist",
-  "alive",
   "aliya",
   "alkie",
   "alkyd",
   "alkyl",
-  "allay",
   "allee",
   "allel",
-  "alley",
   "allis",
   "allod",
-  "allot",
-  "allow",
-  "alloy",
   "allyl",
   "almah",
   "almas",
@@ -311,17 +2574,9 @@ export const SOLUTIONS_LIST = [
   "alods",
   "aloed",
   "aloes",
-  "aloft",
   "aloha",
   "aloin",
-  "alone",
-  "along",
-  "aloof",
   "aloos",
-  "aloud",
-  "alpha",
-  "altar",
-  "alter",
   "altho",
   "altos",
   "alula",
@@ -331,19 +2586,14 @@ export const SOLUTIONS_LIST = [
   "alway",
   "amahs",
   "amain",
-  "amass",
   "amate",
   "amaut",
-  "amaze",
   "amban",
-  "amber",
   "ambit",
-  "amble",
   "ambos",
   "ambry",
   "ameba",
   "ameer",
-  "amend",
   "amene",
   "amens",
   "ament",
@@ -359,25 +2609,19 @@ export const SOLUTIONS_LIST = [
   "amino",
   "amins",
   "amirs",
-  "amiss",
-  "amity",
   "amlas",
   "ammos",
   "amnia",
   "amnio",
   "amoks",
   "amole",
-  "among",
   "amort",
   "amour",
   "amove",
   "amped",
-  "ample",
-  "amply",
   "ampul",
   "amrit",
   "amuck",
-  "amuse",
   "amyls",
   "anana",
   "anata",
@@ -388,32 +2632,21 @@ export const SOLUTIONS_LIST = [
   "anear",
   "anele",
   "anent",
-  "angel",
-  "anger",
-  "angle",
   "anglo",
-  "angry",
-  "angst",
   "anigh",
   "anile",
   "anils",
   "anima",
-  "anime",
   "anion",
   "anise",
   "anker",
   "ankhs",
-  "ankle",
   "ankus",
   "anlas",
   "annal",
   "annas",
   "annat",
-  "annex",
-  "annoy",
-  "annul",
   "anoas",
-  "anode",
   "anole",
   "anomy",
   "ansae",
@@ -421,30 +2654,23 @@ export const SOLUTIONS_LIST = [
   "antas",
   "anted",
   "antes",
-  "antic",
   "antis",
   "antra",
   "antre",
   "antsy",
-  "anvil",
   "anyon",
-  "aorta",
   "apace",
   "apaid",
-  "apart",
   "apays",
   "apeak",
   "apeek",
   "apers",
   "apert",
   "apery",
-  "aphid",
   "aphis",
   "apian",
-  "aping",
   "apiol",
   "apish",
-  "apnea",
   "apode",
   "apods",
   "apoop",
@@ -452,30 +2678,24 @@ export const SOLUTIONS_LIST = [
   "appal",
   "appay",
   "appel",
-  "apple",
-  "apply",
   "appro",
   "appui",
   "appuy",
   "apres",
-  "apron",
   "apses",
   "apsis",
   "apsos",
   "apter",
-  "aptly",
   "aquae",
   "aquas",
   "araba",
   "araks",
   "arame",
   "arbas",
-  "arbor",
   "arced",
   "archi",
   "arcus",
   "ardeb",
-  "ardor",
   "ardri",
   "aread",
   "areal",
@@ -486,7 +2706,6 @@ export const SOLUTIONS_LIST = [
   "arede",
   "arefy",
   "areic",
-  "arena",
   "arene",
   "arepa",
   "arete",
@@ -497,7 +2716,6 @@ export const SOLUTIONS_LIST = [
   "argol",
   "argon",
   "argot",
-  "argue",
   "argus",
   "arhat",
   "arias",
@@ -505,38 +2723,30 @@ export const SOLUTIONS_LIST = [
   "ariki",
   "arils",
   "ariot",
-  "arise",
   "arish",
   "arles",
   "armed",
   "armer",
   "armet",
   "armil",
-  "armor",
   "arnut",
   "aroba",
   "aroha",
   "aroid",
-  "aroma",
-  "arose",
   "arpen",
   "arrah",
   "arras",
-  "array",
   "arret",
   "arris",
-  "arrow",
   "arroz",
   "arsed",
   "arses",
   "arsey",
   "arsis",
-  "arson",
   "artal",
   "artel",
   "artic",
   "artis",
-  "artsy",
   "aruhe",
   "arums",
   "arval",
@@ -545,16 +2755,12 @@ export const SOLUTIONS_LIST = [
   "aryls",
   "asana",
   "ascon",
-  "ascot",
   "ascus",
   "ashed",
-  "ashen",
   "ashes",
   "ashet",
-  "aside",
   "asked",
   "asker",
-  "askew",
   "askoi",
   "askos",
   "aspen",
@@ -564,9 +2770,7 @@ export const SOLUTIONS_LIST = [
   "aspis",
   "aspro",
   "assai",
-  "assay",
   "asses",
-  "asset",
   "aster",
   "astir",
   "astun",
@@ -584,24 +2788,18 @@ export const SOLUTIONS_LIST = [
   "atmas",
   "atmos",
   "atoke",
-  "atoll",
   "atoms",
   "atomy",
-  "atone",
   "atony",
   "atopy",
   "atria",
   "atrip",
   "attap",
   "attar",
-  "attic",
   "atuas",
   "audad",
-  "audio",
-  "audit",
   "auger",
   "aught",
-  "augur",
   "aulas",
   "aulic",
   "auloi",
@@ -609,7 +2807,6 @@ export const SOLUTIONS_LIST = [
   "aumil",
   "aunes",
   "aunts",
-  "aunty",
   "aurae",
   "aural",
   "aurar",
@@ -619,48 +2816,34 @@ export const SOLUTIONS_LIST = [
   "aurum",
   "autos",
   "auxin",
-  "avail",
   "avale",
   "avant",
   "avast",
   "avels",
   "avens",
   "avers",
-  "avert",
   "avgas",
-  "avian",
   "avine",
   "avise",
   "aviso",
   "avize",
-  "avoid",
   "avows",
-  "await",
-  "awake",
-  "award",
-  "aware",
   "awarn",
-  "awash",
   "awave",
   "aways",
   "awdls",
   "aweel",
   "aweto",
-  "awful",
   "awing",
   "awmry",
   "awned",
   "awner",
-  "awoke",
   "awols",
   "awork",
   "axels",
-  "axial",
   "axile",
   "axils",
   "axing",
-  "axiom",
-  "axion",
   "axite",
   "axled",
   "axles",
@@ -686,7 +2869,6 @@ export const SOLUTIONS_LIST = [
   "azote",
   "azoth",
   "azuki",
-  "azure",
   "azurn",
   "azury",
   "azyme",
@@ -704,16 +2886,11 @@ export const SOLUTIONS_LIST = [
   "bacha",
   "bachs",
   "backs",
-  "bacon",
   "baddy",
-  "badge",
-  "badly",
   "baels",
   "baffs",
   "baffy",
   "bafts",
-  "bagel",
-  "baggy",
   "baghs",
   "bagie",
   "bahts",
@@ -731,25 +2908,21 @@ export const SOLUTIONS_LIST = [
   "bajus",
   "baked",
   "baken",
-  "baker",
   "bakes",
   "bakra",
   "balas",
   "balds",
   "baldy",
   "baled",
-  "baler",
   "bales",
   "balks",
   "balky",
   "balls",
   "bally",
   "balms",
-  "balmy",
   "balsa",
   "balti",
   "balun",
-  "banal",
   "banco",
   "bancs",
   "banda",
@@ -760,7 +2933,6 @@ export const SOLUTIONS_LIST = [
   "banes",
   "bangs",
   "bania",
-  "banjo",
   "banks",
   "banns",
   "bants",
@@ -777,7 +2949,6 @@ export const SOLUTIONS_LIST = [
   "bares",
   "barfi",
   "barfs",
-  "barge",
   "baric",
   "barks",
   "barky",
@@ -785,22 +2956,16 @@ export const SOLUTIONS_LIST = [
   "barmy",
   "barns",
   "barny",
-  "baron",
   "barra",
   "barre",
   "barry",
   "barye",
-  "basal",
   "basan",
   "based",
   "basen",
   "baser",
   "bases",
   "basho",
-  "basic",
-  "basil",
-  "basin",
-  "basis",
   "basks",
   "bason",
   "basse",
@@ -808,39 +2973,30 @@ export const SOLUTIONS_LIST = [
   "basso",
   "bassy",
   "basta",
-  "baste",
   "basti",
   "basto",
   "basts",
-  "batch",
   "bated",
   "bates",
-  "bathe",
   "baths",
   "batik",
-  "baton",
   "batta",
   "batts",
   "battu",
-  "batty",
   "bauds",
   "baulk",
   "bavin",
   "bawds",
-  "bawdy",
   "bawls",
   "bawns",
   "bawty",
   "bayed",
   "bayer",
   "bayes",
-  "bayou",
   "bayts",
   "bazar",
   "bazoo",
-  "beach",
   "beads",
-  "beady",
   "beaks",
   "beaky",
   "beals",
@@ -849,10 +3005,8 @@ export const SOLUTIONS_LIST = [
   "beano",
   "beans",
   "beany",
-  "beard",
   "beare",
   "bears",
-  "beast",
   "beath",
   "beats",
   "beaty",
@@ -868,46 +3022,31 @@ export const SOLUTIONS_LIST = [
   "bedew",
   "bedim",
   "bedye",
-  "beech",
   "beedi",
   "beefs",
-  "beefy",
   "beeps",
   "beers",
   "beery",
   "beets",
-  "befit",
   "befog",
   "begad",
-  "began",
   "begar",
-  "begat",
   "begem",
-  "beget",
-  "begin",
   "begot",
   "begum",
-  "begun",
   "beige",
   "beigy",
-  "being",
   "beins",
   "bekah",
   "belah",
   "belar",
   "belay",
-  "belch",
-  "belie",
-  "belle",
   "bells",
-  "belly",
-  "below",
   "belts",
   "bemad",
   "bemas",
   "bemix",
   "bemud",
-  "bench",
   "bends",
   "bendy",
   "benes",
@@ -923,37 +3062,30 @@ export const SOLUTIONS_LIST = [
   "bepat",
   "beray",
   "beres",
-  "beret",
   "bergs",
   "berko",
   "berks",
   "berme",
   "berms",
   "berob",
-  "berry",
-  "berth",
   "beryl",
   "besat",
   "besaw",
   "besee",
-  "beset",
   "besit",
   "besom",
   "besot",
   "bests",
   "betas",
-  "betel",
   "beths",
   "betid",
   "betta",
   "betty",
-  "bevel",
   "bever",
   "bevor",
   "bevvy",
   "bewet",
   "bewig",
-  "bezel",
   "bezes",
   "bezil",
   "bezzy",
@@ -969,11 +3101,8 @@ export const SOLUTIONS_LIST = [
   "bialy",
   "bibbs",
   "bibes",
-  "bible",
   "biccy",
-  "bicep",
   "bices",
-  "biddy",
   "bided",
   "bider",
   "bides",
@@ -993,7 +3122,6 @@ export const SOLUTIONS_LIST = [
   "bight",
   "bigly",
   "bigos",
-  "bigot",
   "bijou",
   "biked",
   "biker",
@@ -1003,11 +3131,9 @@ export const SOLUTIONS_LIST = [
   "bilby",
   "biled",
   "biles",
-  "bilge",
   "bilgy",
   "bilks",
   "bills",
-  "billy",
   "bimah",
   "bimas",
   "bimbo",
@@ -1016,20 +3142,16 @@ export const SOLUTIONS_LIST = [
   "binds",
   "biner",
   "bines",
-  "binge",
-  "bingo",
   "bings",
   "bingy",
   "binit",
   "binks",
   "bints",
   "biogs",
-  "biome",
   "biont",
   "biota",
   "biped",
   "bipod",
-  "birch",
   "birds",
   "birks",
   "birle",
@@ -1038,115 +3160,77 @@ export const SOLUTIONS_LIST = [
   "birrs",
   "birse",
   "birsy",
-  "birth",
   "bises",
   "bisks",
   "bisom",
-  "bison",
   "bitch",
   "biter",
   "bites",
   "bitsy",
   "bitte",
   "bitts",
-  "bitty",
   "bivia",
   "bivvy",
   "bizzo",
   "bizzy",
   "blabs",
-  "black",
-  "blade",
   "blads",
   "blady",
   "blaff",
   "blags",
   "blahs",
   "blain",
-  "blame",
   "blams",
-  "bland",
-  "blank",
-  "blare",
   "blart",
   "blase",
   "blash",
-  "blast",
   "blate",
   "blats",
   "blays",
-  "blaze",
-  "bleak",
   "blear",
-  "bleat",
   "blebs",
   "blech",
-  "bleed",
-  "bleep",
   "blees",
-  "blend",
   "blent",
-  "bless",
   "blest",
   "blets",
   "bleys",
-  "blimp",
   "blimy",
-  "blind",
   "bling",
   "blini",
-  "blink",
   "blins",
   "bliny",
   "blips",
-  "bliss",
   "blite",
   "blits",
-  "blitz",
   "blive",
-  "bloat",
   "blobs",
-  "block",
   "blocs",
   "blogs",
-  "bloke",
-  "blond",
-  "blood",
   "blook",
-  "bloom",
   "bloop",
   "blore",
   "blots",
-  "blown",
   "blows",
   "blowy",
   "blubs",
   "bluds",
   "bludy",
   "blued",
-  "bluer",
   "blues",
   "bluet",
   "bluey",
-  "bluff",
   "blunk",
-  "blunt",
-  "blurb",
   "blurs",
-  "blurt",
-  "blush",
   "blype",
   "boabs",
   "boaks",
-  "board",
   "boars",
   "boart",
-  "boast",
   "boats",
   "bobac",
   "bobak",
   "bobas",
-  "bobby",
   "bobol",
   "bobos",
   "bocca",
@@ -1198,17 +3282,13 @@ export const SOLUTIONS_LIST = [
   "boned",
   "boner",
   "bones",
-  "boney",
-  "bongo",
   "bongs",
   "bonks",
   "bonne",
   "bonny",
-  "bonus",
   "bonza",
   "bonze",
   "boobs",
-  "booby",
   "boody",
   "booed",
   "boofy",
@@ -1224,17 +3304,11 @@ export const SOLUTIONS_LIST = [
   "boord",
   "boors",
   "boose",
-  "boost",
-  "booth",
   "boots",
-  "booty",
-  "booze",
-  "boozy",
   "boppy",
   "borak",
   "boral",
   "boras",
-  "borax",
   "bords",
   "bored",
   "boree",
@@ -1244,29 +3318,22 @@ export const SOLUTIONS_LIST = [
   "boric",
   "borks",
   "borms",
-  "borne",
   "boron",
   "borts",
   "bortz",
   "bosie",
   "bosks",
   "bosky",
-  "bosom",
   "boson",
-  "bossy",
   "bosun",
-  "botch",
   "botel",
   "botes",
   "bothy",
   "botts",
   "botty",
   "bouge",
-  "bough",
   "bouks",
-  "boule",
   "boult",
-  "bound",
   "bouns",
   "bourd",
   "bourg",
@@ -1276,7 +3343,6 @@ export const SOLUTIONS_LIST = [
   "bouts",
   "bovid",
   "bowed",
-  "bowel",
   "bower",
   "bowes",
   "bowie",
@@ -1284,7 +3350,6 @@ export const SOLUTIONS_LIST = [
   "bowse",
   "boxed",
   "boxen",
-  "boxer",
   "boxes",
   "boxla",
   "boxty",
@@ -1297,44 +3362,30 @@ export const SOLUTIONS_LIST = [
   "boysy",
   "bozos",
   "braai",
-  "brace",
   "brach",
   "brack",
   "bract",
   "brads",
   "braes",
   "brags",
-  "braid",
   "brail",
-  "brain",
-  "brake",
   "braks",
   "braky",
   "brame",
-  "brand",
   "brane",
   "brank",
   "brans",
   "brant",
-  "brash",
-  "brass",
   "brast",
   "brats",
   "brava",
-  "brave",
   "bravi",
-  "bravo",
-  "brawl",
-  "brawn",
   "braxy",
   "brays",
   "braza",
   "braze",
-  "bread",
-  "break",
   "bream",
   "brede",
-  "breed",
   "brees",
   "breme",
   "brens",
@@ -1343,11 +3394,6 @@ export const SOLUTIONS_LIST = [
   "breve",
   "brews",
   "breys",
-  "briar",
-  "bribe",
-  "brick",
-  "bride",
-  "brief",
   "brier",
   "bries",
   "brigs",
@@ -1355,45 +3401,29 @@ export const SOLUTIONS_LIST = [
   "briks",
   "brill",
   "brims",
-  "brine",
-  "bring",
-  "brink",
   "brins",
-  "briny",
   "brise",
-  "brisk",
   "briss",
   "brits",
   "brize",
-  "broad",
   "broch",
   "brock",
   "brods",
   "brogs",
-  "broil",
-  "broke",
   "brome",
   "bromo",
   "bronc",
   "brond",
-  "brood",
-  "brook",
   "brool",
-  "broom",
   "brose",
   "brosy",
-  "broth",
-  "brown",
   "brows",
   "bruin",
   "bruit",
   "brume",
   "brung",
-  "brunt",
-  "brush",
   "brusk",
   "brust",
-  "brute",
   "buats",
   "buaze",
   "bubal",
@@ -1406,8 +3436,6 @@ export const SOLUTIONS_LIST = [
   "bucko",
   "bucks",
   "bucku",
-  "buddy",
-  "budge",
   "buffa",
   "buffe",
   "buffi",
@@ -1415,28 +3443,20 @@ export const SOLUTIONS_LIST = [
   "buffs",
   "buffy",
   "bufos",
-  "buggy",
-  "bugle",
   "buhls",
   "buhrs",
-  "build",
-  "built",
   "buist",
   "bulbs",
-  "bulge",
   "bulgy",
   "bulks",
-  "bulky",
   "bulla",
   "bulls",
-  "bully",
   "bulse",
   "bumbo",
   "bumph",
   "bumps",
   "bumpy",
   "bunce",
-  "bunch",
   "bunco",
   "bundh",
   "bunds",
@@ -1451,7 +3471,6 @@ export const SOLUTIONS_LIST = [
   "bunko",
   "bunks",
   "bunns",
-  "bunny",
   "bunts",
   "bunya",
   "buoys",
@@ -1468,9 +3487,7 @@ export const SOLUTIONS_LIST = [
   "burke",
   "burks",
   "burls",
-  "burly",
   "burns",
-  "burnt",
   "buroo",
   "burps",
   "burqa",
@@ -1479,53 +3496,36 @@ export const SOLUTIONS_LIST = [
   "burry",
   "bursa",
   "burse",
-  "burst",
   "busby",
-  "bused",
   "buses",
-  "bushy",
   "busks",
   "busky",
   "bussu",
   "busts",
   "busty",
-  "butch",
   "buteo",
   "butle",
   "butoh",
-  "butte",
   "butts",
   "butty",
   "butut",
   "butyl",
-  "buxom",
-  "buyer",
   "buzzy",
   "bwana",
   "bykes",
-  "bylaw",
   "byres",
   "byssi",
   "bytes",
   "byway",
-  "cabal",
   "cabas",
-  "cabby",
   "caber",
-  "cabin",
-  "cable",
   "cabob",
   "cabre",
-  "cacao",
   "cacas",
-  "cache",
   "cacks",
   "cacky",
-  "cacti",
-  "caddy",
   "cadee",
   "cades",
-  "cadet",
   "cadge",
   "cadgy",
   "cadie",
@@ -1537,13 +3537,11 @@ export const SOLUTIONS_LIST = [
   "caged",
   "cager",
   "cages",
-  "cagey",
   "cagot",
   "cahow",
   "caids",
   "cains",
   "caird",
-  "cairn",
   "cajon",
   "cajun",
   "caked",
@@ -1564,8 +3562,6 @@ export const SOLUTIONS_LIST = [
   "calyx",
   "caman",
   "camas",
-  "camel",
-  "cameo",
   "cames",
   "camis",
   "camos",
@@ -1574,8 +3570,6 @@ export const SOLUTIONS_LIST = [
   "camps",
   "campy",
   "camus",
-  "canal",
-  "candy",
   "caned",
   "caner",
   "canes",
@@ -1583,9 +3577,6 @@ export const SOLUTIONS_LIST = [
   "canid",
   "canna",
   "canns",
-  "canny",
-  "canoe",
-  "canon",
   "canso",
   "canst",
   "canto",
@@ -1593,7 +3584,6 @@ export const SOLUTIONS_LIST = [
   "canty",
   "capas",
   "caped",
-  "caper",
   "capes",
   "capex",
   "caphs",
@@ -1604,9 +3594,7 @@ export const SOLUTIONS_LIST = [
   "capot",
   "capri",
   "capul",
-  "caput",
   "carap",
-  "carat",
   "carbo",
   "carbs",
   "carby",
@@ -1618,61 +3606,48 @@ export const SOLUTIONS_LIST = [
   "cares",
   "caret",
   "carex",
-  "cargo",
   "carks",
   "carle",
   "carls",
   "carns",
   "carny",
   "carob",
-  "carol",
   "carom",
   "caron",
   "carpi",
   "carps",
   "carrs",
-  "carry",
   "carse",
   "carte",
   "carts",
-  "carve",
   "casas",
   "casco",
   "cased",
   "cases",
   "casks",
   "casky",
-  "caste",
   "casts",
   "casus",
-  "catch",
-  "cater",
   "cates",
-  "catty",
   "cauda",
   "cauks",
-  "caulk",
   "cauls",
   "caums",
   "caups",
   "cauri",
-  "cause",
   "cavas",
   "caved",
   "cavel",
   "caver",
   "caves",
   "cavie",
-  "cavil",
   "cawed",
   "cawks",
   "caxon",
-  "cease",
   "ceaze",
   "cebid",
   "cecal",
   "cecum",
-  "cedar",
   "ceded",
   "ceder",
   "cedes",
@@ -1683,7 +3658,6 @@ export const SOLUTIONS_LIST = [
   "celeb",
   "cella",
   "celli",
-  "cello",
   "cells",
   "celom",
   "celts",
@@ -1712,55 +3686,35 @@ export const SOLUTIONS_LIST = [
   "chaco",
   "chado",
   "chads",
-  "chafe",
-  "chaff",
   "chaft",
-  "chain",
-  "chair",
   "chais",
-  "chalk",
   "chals",
-  "champ",
   "chams",
   "chana",
   "chang",
   "chank",
-  "chant",
-  "chaos",
   "chape",
   "chaps",
   "chapt",
   "chara",
-  "chard",
   "chare",
   "chark",
-  "charm",
   "charr",
   "chars",
-  "chart",
   "chary",
-  "chase",
-  "chasm",
   "chats",
   "chave",
   "chavs",
   "chaws",
   "chaya",
   "chays",
-  "cheap",
-  "cheat",
-  "check",
-  "cheek",
   "cheep",
-  "cheer",
   "chefs",
   "chela",
   "chelp",
   "chemo",
   "chems",
   "chert",
-  "chess",
-  "chest",
   "cheth",
   "chevy",
   "chews",
@@ -1770,22 +3724,14 @@ export const SOLUTIONS_LIST = [
   "chibs",
   "chica",
   "chich",
-  "chick",
   "chico",
   "chics",
-  "chide",
-  "chief",
   "chiel",
   "chiks",
-  "child",
   "chile",
-  "chili",
-  "chill",
   "chimb",
-  "chime",
   "chimo",
   "chimp",
-  "china",
   "chine",
   "ching",
   "chink",
@@ -1796,21 +3742,17 @@ export const SOLUTIONS_LIST = [
   "chirl",
   "chirm",
   "chiro",
-  "chirp",
   "chirr",
   "chiru",
   "chits",
   "chive",
   "chivs",
   "chivy",
-  "chock",
   "choco",
   "chocs",
   "chode",
   "chogs",
   "choil",
-  "choir",
-  "choke",
   "choko",
   "choky",
   "chola",
@@ -1822,9 +3764,6 @@ export const SOLUTIONS_LIST = [
   "choom",
   "choon",
   "chops",
-  "chord",
-  "chore",
-  "chose",
   "chota",
   "chott",
   "chout",
@@ -1832,36 +3771,27 @@ export const SOLUTIONS_LIST = [
   "chowk",
   "chows",
   "chubs",
-  "chuck",
   "chufa",
   "chuff",
   "chugs",
-  "chump",
   "chums",
-  "chunk",
   "churl",
-  "churn",
   "churr",
   "chuse",
-  "chute",
   "chuts",
   "chyle",
   "chyme",
   "cibol",
-  "cider",
   "ciels",
-  "cigar",
   "ciggy",
   "cilia",
   "cills",
   "cimar",
   "cimex",
-  "cinch",
   "cinct",
   "cinqs",
   "cions",
   "cippi",
-  "circa",
   "circs",
   "cires",
   "cirls",
@@ -1875,29 +3805,19 @@ export const SOLUTIONS_LIST = [
   "cites",
   "cives",
   "civet",
-  "civic",
   "civie",
-  "civil",
   "civvy",
-  "clack",
   "clade",
   "clads",
   "claes",
   "clags",
-  "claim",
-  "clamp",
   "clams",
-  "clang",
-  "clank",
   "clans",
   "claps",
   "clapt",
   "claro",
   "clart",
   "clary",
-  "clash",
-  "clasp",
-  "class",
   "clast",
   "clats",
   "claut",
@@ -1905,72 +3825,48 @@ export const SOLUTIONS_LIST = [
   "clavi",
   "claws",
   "clays",
-  "clean",
-  "clear",
-  "cleat",
   "cleck",
   "cleek",
   "cleep",
   "clefs",
-  "cleft",
   "clegs",
   "clems",
   "clepe",
   "clept",
-  "clerk",
   "cleve",
   "clews",
-  "click",
   "clied",
   "clies",
-  "cliff",
   "clift",
-  "climb",
   "clime",
   "cline",
-  "cling",
-  "clink",
   "clint",
   "clips",
   "clipt",
   "clits",
-  "cloak",
   "cloam",
-  "clock",
   "clods",
   "cloff",
   "clogs",
   "cloke",
   "clomb",
   "clomp",
-  "clone",
   "clonk",
   "clons",
   "cloop",
   "clops",
-  "close",
   "clote",
-  "cloth",
   "clots",
-  "cloud",
   "clour",
   "clous",
-  "clout",
-  "clove",
-  "clown",
   "cloye",
   "cloys",
   "cloze",
   "clubs",
-  "cluck",
-  "clued",
   "clues",
   "cluey",
-  "clump",
-  "clung",
   "clunk",
   "cnida",
-  "coach",
   "coact",
   "coady",
   "coala",
@@ -1978,7 +3874,6 @@ export const SOLUTIONS_LIST = [
   "coaly",
   "coapt",
   "coarb",
-  "coast",
   "coate",
   "coati",
   "coats",
@@ -1986,13 +3881,11 @@ export const SOLUTIONS_LIST = [
   "cobby",
   "cobia",
   "coble",
-  "cobra",
   "cobza",
   "cocas",
   "cocci",
   "cocks",
   "cocky",
-  "cocoa",
   "cocos",
   "codas",
   "codec",
@@ -2027,8 +3920,6 @@ export const SOLUTIONS_LIST = [
   "colls",
   "colly",
   "colog",
-  "colon",
-  "color",
   "colts",
   "colza",
   "comae",
@@ -2041,11 +3932,7 @@ export const SOLUTIONS_LIST = [
   "comby",
   "comer",
   "comes",
-  "comet",
-  "comfy",
-  "comic",
   "comix",
-  "comma",
   "commo",
   "comms",
   "commy",
@@ -2053,8 +3940,6 @@ export const SOLUTIONS_LIST = [
   "comps",
   "compt",
   "comte",
-  "conch",
-  "condo",
   "coned",
   "cones",
   "coney",
@@ -2063,7 +3948,6 @@ export const SOLUTIONS_LIST = [
   "conge",
   "congo",
   "conia",
-  "conic",
   "conks",
   "conky",
   "conne",
@@ -2098,15 +3982,12 @@ export const SOLUTIONS_LIST = [
   "copes",
   "coppy",
   "copra",
-  "copse",
   "copsy",
   "coqui",
-  "coral",
   "corbe",
   "corby",
   "cords",
   "cored",
-  "corer",
   "cores",
   "corey",
   "corgi",
@@ -2118,7 +3999,6 @@ export const SOLUTIONS_LIST = [
   "corno",
   "corns",
   "cornu",
-  "corny",
   "corps",
   "corse",
   "cosec",
@@ -2134,29 +4014,18 @@ export const SOLUTIONS_LIST = [
   "cotes",
   "cotta",
   "cotts",
-  "couch",
-  "cough",
-  "could",
-  "count",
-  "coupe",
   "coups",
   "courb",
   "coure",
   "cours",
-  "court",
   "couta",
   "couth",
   "coved",
-  "coven",
-  "cover",
   "coves",
-  "covet",
-  "covey",
   "covin",
   "cowal",
   "cowan",
   "cowed",
-  "cower",
   "cowls",
   "cowps",
   "cowry",
@@ -2167,7 +4036,6 @@ export const SOLUTIONS_LIST = [
   "coxib",
   "coyed",
   "coyer",
-  "coyly",
   "coypu",
   "cozed",
   "cozen",
@@ -2176,116 +4044,70 @@ export const SOLUTIONS_LIST = [
   "cozie",
   "craal",
   "crabs",
-  "crack",
-  "craft",
   "crags",
   "craic",
   "craig",
   "crake",
   "crame",
-  "cramp",
   "crams",
-  "crane",
-  "crank",
   "crans",
   "crape",
   "craps",
   "crapy",
   "crare",
-  "crash",
-  "crass",
-  "crate",
-  "crave",
-  "crawl",
   "craws",
   "crays",
-  "craze",
-  "crazy",
-  "creak",
-  "cream",
-  "credo",
   "creds",
-  "creed",
-  "creek",
   "creel",
-  "creep",
-  "creme",
   "crems",
   "crena",
-  "crepe",
   "creps",
-  "crept",
   "crepy",
-  "cress",
-  "crest",
   "crewe",
   "crews",
   "crias",
   "cribs",
-  "crick",
-  "cried",
-  "crier",
   "cries",
-  "crime",
-  "crimp",
   "crims",
   "crine",
   "crips",
   "crise",
-  "crisp",
   "crith",
   "crits",
-  "croak",
   "croci",
-  "crock",
   "crocs",
   "croft",
   "crome",
-  "crone",
   "cronk",
-  "crony",
-  "crook",
   "crool",
   "croon",
   "crops",
   "crore",
-  "cross",
   "crost",
-  "croup",
   "crout",
-  "crowd",
-  "crown",
   "crows",
   "croze",
   "cruck",
-  "crude",
   "crudo",
   "cruds",
   "crudy",
-  "cruel",
   "crues",
   "cruet",
   "cruft",
-  "crumb",
-  "crump",
   "crunk",
   "cruor",
   "crura",
   "cruse",
-  "crush",
-  "crust",
   "crusy",
   "cruve",
   "crwth",
   "cryer",
-  "crypt",
   "ctene",
   "cubby",
   "cubeb",
   "cubed",
   "cuber",
   "cubes",
-  "cubic",
   "cubit",
   "cuddy",
   "cuffs",
@@ -2302,7 +4124,6 @@ export const SOLUTIONS_LIST = [
   "cults",
   "culty",
   "cumec",
-  "cumin",
   "cunei",
   "cunit",
   "cunts",
@@ -2322,18 +4143,12 @@ export const SOLUTIONS_LIST = [
   "curfs",
   "curia",
   "curie",
-  "curio",
   "curli",
   "curls",
-  "curly",
   "curns",
   "currs",
-  "curry",
-  "curse",
   "cursi",
   "curst",
-  "curve",
-  "curvy",
   "cusec",
   "cushy",
   "cusks",
@@ -2344,7 +4159,6 @@ export const SOLUTIONS_LIST = [
   "cuter",
   "cutes",
   "cutey",
-  "cutie",
   "cutin",
   "cutis",
   "cutto",
@@ -2354,10 +4168,8 @@ export const SOLUTIONS_LIST = [
   "cwtch",
   "cyano",
   "cyans",
-  "cyber",
   "cycad",
   "cycas",
-  "cycle",
   "cyclo",
   "cyder",
   "cylix",
@@ -2366,7 +4178,6 @@ export const SOLUTIONS_LIST = [
   "cymas",
   "cymes",
   "cymol",
-  "cynic",
   "cysts",
   "cytes",
   "cyton",
@@ -2378,7 +4189,6 @@ export const SOLUTIONS_LIST = [
   "dacks",
   "dadah",
   "dadas",
-  "daddy",
   "dados",
   "daffs",
   "daffy",
@@ -2386,14 +4196,10 @@ export const SOLUTIONS_LIST = [
   "daggy",
   "dagos",
   "dahls",
-  "daily",
   "daint",
-  "dairy",
-  "daisy",
   "daker",
   "daled",
   "dales",
-  "dally",
   "daman",
   "damar",
   "dames",
@@ -2401,9 +4207,7 @@ export const SOLUTIONS_LIST = [
   "damns",
   "damps",
   "dampy",
-  "dance",
   "dancy",
-  "dandy",
   "dangs",
   "danio",
   "danks",
@@ -2429,12 +4233,10 @@ export const SOLUTIONS_LIST = [
   "dates",
   "datos",
   "datto",
-  "datum",
   "daube",
   "daubs",
   "dauby",
   "dauds",
-  "daunt",
   "daurs",
   "daven",
   "davit",
@@ -2451,38 +4253,27 @@ export const SOLUTIONS_LIST = [
   "deads",
   "deair",
   "deals",
-  "dealt",
   "deans",
   "deare",
   "dearn",
   "dears",
   "deary",
   "deash",
-  "death",
   "debag",
-  "debar",
   "debby",
   "debel",
   "debes",
-  "debit",
   "debts",
   "debud",
-  "debug",
   "debur",
   "debus",
-  "debut",
   "debye",
   "decad",
   "decaf",
-  "decal",
   "decan",
-  "decay",
   "decko",
   "decks",
-  "decor",
   "decos",
-  "decoy",
-  "decry",
   "dedal",
   "deeds",
   "deedy",
@@ -2493,7 +4284,6 @@ export const SOLUTIONS_LIST = [
   "deets",
   "deevs",
   "defat",
-  "defer",
   "deffo",
   "defog",
   "degas",
@@ -2501,14 +4291,11 @@ export const SOLUTIONS_LIST = [
   "degus",
   "deice",
   "deify",
-  "deign",
   "deism",
   "deist",
-  "deity",
   "deked",
   "dekes",
   "dekko",
-  "delay",
   "deled",
   "deles",
   "delfs",
@@ -2518,33 +4305,24 @@ export const SOLUTIONS_LIST = [
   "delly",
   "delos",
   "delph",
-  "delta",
   "delts",
-  "delve",
   "deman",
   "demes",
   "demic",
   "demit",
   "demob",
   "demoi",
-  "demon",
   "demos",
-  "demur",
   "denar",
   "denay",
   "dench",
   "denes",
   "denet",
-  "denim",
   "denis",
-  "dense",
   "dents",
   "deoxy",
-  "depot",
-  "depth",
   "derat",
   "deray",
-  "derby",
   "dered",
   "deres",
   "derig",
@@ -2560,12 +4338,8 @@ export const SOLUTIONS_LIST = [
   "deshi",
   "desis",
   "desks",
-  "deter",
-  "detox",
-  "deuce",
   "devas",
   "devel",
-  "devil",
   "devis",
   "devon",
   "dewan",
@@ -2587,13 +4361,11 @@ export const SOLUTIONS_LIST = [
   "dhuti",
   "diact",
   "dials",
-  "diary",
   "diazo",
   "dibbs",
   "diced",
   "dicer",
   "dices",
-  "dicey",
   "dicks",
   "dicky",
   "dicot",
@@ -2609,7 +4381,6 @@ export const SOLUTIONS_LIST = [
   "diets",
   "diffs",
   "dight",
-  "digit",
   "dikas",
   "diked",
   "diker",
@@ -2617,56 +4388,43 @@ export const SOLUTIONS_LIST = [
   "dildo",
   "dilli",
   "dills",
-  "dilly",
   "dimbo",
   "dimer",
   "dimes",
-  "dimly",
   "dimps",
   "dinar",
   "dined",
-  "diner",
   "dines",
   "dinge",
-  "dingo",
   "dings",
-  "dingy",
   "dinic",
   "dinks",
   "dinky",
   "dinna",
   "dinos",
   "dints",
-  "diode",
   "diols",
   "diota",
   "dippy",
   "dipso",
   "diram",
   "direr",
-  "dirge",
   "dirke",
   "dirks",
   "dirts",
-  "dirty",
   "disci",
-  "disco",
   "discs",
   "dishy",
   "disks",
   "disme",
   "dital",
-  "ditch",
   "dited",
   "dites",
   "ditsy",
-  "ditto",
-  "ditty",
   "ditzy",
   "divan",
   "divas",
   "dived",
-  "diver",
   "dives",
   "divis",
   "divos",
@@ -2676,7 +4434,6 @@ export const SOLUTIONS_LIST = [
   "dixie",
   "diyas",
   "dizen",
-  "dizzy",
   "djinn",
   "djins",
   "doabs",
@@ -2691,8 +4448,6 @@ export const SOLUTIONS_LIST = [
   "docos",
   "docus",
   "doddy",
-  "dodge",
-  "dodgy",
   "dodos",
   "doeks",
   "doers",
@@ -2705,10 +4460,8 @@ export const SOLUTIONS_LIST = [
   "doggo",
   "doggy",
   "dogie",
-  "dogma",
   "dohyo",
   "doily",
-  "doing",
   "doits",
   "dojos",
   "dolce",
@@ -2716,7 +4469,6 @@ export const SOLUTIONS_LIST = [
   "doles",
   "dolia",
   "dolls",
-  "dolly",
   "dolma",
   "dolor",
   "dolos",
@@ -2733,8 +4485,6 @@ export const SOLUTIONS_LIST = [
   "dongs",
   "donna",
   "donny",
-  "donor",
-  "donut",
   "doobs",
   "dooce",
   "doody",
@@ -2749,7 +4499,6 @@ export const SOLUTIONS_LIST = [
   "doped",
   "doper",
   "dopes",
-  "dopey",
   "dorad",
   "doree",
   "doris",
@@ -2775,10 +4524,8 @@ export const SOLUTIONS_LIST = [
   "dotes",
   "dotty",
   "douar",
-  "doubt",
   "douce",
   "doucs",
-  "dough",
   "doula",
   "douma",
   "doums",
@@ -2791,16 +4538,12 @@ export const SOLUTIONS_LIST = [
   "dovie",
   "dowar",
   "dowds",
-  "dowdy",
   "dowed",
-  "dowel",
   "dower",
   "dowle",
   "dowls",
   "downs",
-  "downy",
   "dowps",
-  "dowry",
   "dowse",
   "doxed",
   "doxes",
@@ -2808,83 +4551,53 @@ export const SOLUTIONS_LIST = [
   "doyen",
   "doyly",
   "dozed",
-  "dozen",
   "dozer",
   "dozes",
   "drabs",
   "draco",
   "draff",
-  "draft",
   "drags",
   "drail",
-  "drain",
-  "drake",
-  "drama",
   "drams",
-  "drank",
   "drant",
-  "drape",
   "draps",
   "drats",
   "drave",
-  "drawl",
-  "drawn",
   "draws",
   "drays",
-  "dread",
-  "dream",
   "drear",
   "dreck",
   "dreed",
   "dreer",
   "drees",
   "dregs",
-  "dress",
   "drest",
   "dreys",
   "dribs",
-  "dried",
-  "drier",
   "dries",
-  "drift",
-  "drill",
   "drily",
-  "drink",
   "drips",
   "dript",
-  "drive",
   "droid",
   "droil",
-  "droit",
   "droke",
   "drole",
-  "droll",
   "drome",
-  "drone",
   "drony",
   "droob",
   "droog",
   "drook",
-  "drool",
-  "droop",
   "drops",
   "dropt",
-  "dross",
-  "drove",
-  "drown",
   "drubs",
   "drugs",
-  "druid",
   "drums",
-  "drunk",
   "drupe",
   "druse",
   "drusy",
   "druxy",
   "dryad",
   "dryas",
-  "dryer",
-  "dryly",
   "duads",
   "duals",
   "duans",
@@ -2893,7 +4606,6 @@ export const SOLUTIONS_LIST = [
   "ducal",
   "ducat",
   "duces",
-  "duchy",
   "ducks",
   "ducky",
   "ducts",
@@ -2912,18 +4624,14 @@ export const SOLUTIONS_LIST = [
   "dulce",
   "dulia",
   "dulls",
-  "dully",
   "dulse",
   "dumas",
   "dumbo",
   "dumbs",
   "dumka",
   "dumky",
-  "dummy",
   "dumps",
-  "dumpy",
   "dunam",
-  "dunce",
   "dunch",
   "dunes",
   "dungs",
@@ -2955,76 +4663,56 @@ export const SOLUTIONS_LIST = [
   "durum",
   "durzi",
   "dusks",
-  "dusky",
   "dusts",
-  "dusty",
-  "dutch",
-  "duvet",
   "duxes",
   "dwaal",
   "dwale",
   "dwalm",
   "dwang",
-  "dwarf",
   "dwaum",
   "dweeb",
-  "dwell",
-  "dwelt",
   "dwile",
   "dwine",
   "dyads",
   "dyers",
-  "dying",
   "dyked",
   "dykes",
   "dykey",
   "dykon",
   "dynes",
   "dzhos",
-  "eager",
-  "eagle",
   "eagre",
   "eales",
   "eaned",
   "eared",
   "earls",
-  "early",
   "earns",
   "earnt",
   "earst",
-  "earth",
   "eased",
-  "easel",
   "easer",
   "eases",
   "easle",
   "easts",
-  "eaten",
-  "eater",
   "eaved",
   "eaves",
   "ebbed",
   "ebbet",
   "ebons",
-  "ebony",
   "ebook",
   "ecads",
   "echos",
-  "eclat",
   "ecrus",
   "edema",
   "edged",
   "edger",
   "edges",
-  "edict",
-  "edify",
   "edile",
   "edits",
   "educe",
   "educt",
   "eejit",
   "eensy",
-  "eerie",
   "eeven",
   "eevns",
   "effed",
@@ -3034,57 +4722,39 @@ export const SOLUTIONS_LIST = [
   "eggar",
   "egged",
   "egger",
-  "egret",
   "ehing",
   "eider",
   "eidos",
-  "eight",
   "eigne",
   "eikon",
   "eisel",
-  "eject",
   "ejido",
-  "eking",
   "ekkas",
   "elain",
   "eland",
   "elans",
-  "elate",
-  "elbow",
   "elchi",
-  "elder",
-  "elect",
-  "elegy",
   "elemi",
   "elfed",
-  "elfin",
-  "elide",
   "elint",
-  "elite",
   "elmen",
   "eloge",
   "elogy",
   "eloin",
-  "elope",
   "elpee",
   "elsin",
-  "elude",
   "elute",
   "elvan",
   "elven",
   "elver",
   "elves",
   "emacs",
-  "email",
   "embar",
   "embay",
-  "embed",
-  "ember",
   "embog",
   "embow",
   "embox",
   "embus",
-  "emcee",
   "emeer",
   "emend",
   "emerg",
@@ -3102,41 +4772,30 @@ export const SOLUTIONS_LIST = [
   "emote",
   "emove",
   "empts",
-  "empty",
   "emule",
   "emyde",
   "emyds",
-  "enact",
   "enarm",
   "enate",
   "ended",
   "ender",
   "endew",
-  "endow",
   "endue",
-  "enema",
-  "enemy",
   "enews",
   "enfix",
-  "enjoy",
   "enlit",
   "enmew",
   "ennog",
-  "ennui",
   "enoki",
   "enols",
   "enorm",
   "enrol",
   "ensew",
   "ensky",
-  "ensue",
-  "enter",
   "entia",
-  "entry",
   "enure",
   "enurn",
   "envoi",
-  "envoy",
   "enzym",
   "eorls",
   "eosin",
@@ -3147,17 +4806,11 @@ export const SOLUTIONS_LIST = [
   "ephod",
   "ephor",
   "epics",
-  "epoch",
   "epode",
   "epopt",
-  "epoxy",
-  "equal",
   "eques",
   "equid",
-  "equip",
-  "erase",
   "erbia",
-  "erect",
   "ergon",
   "ergos",
   "ergot",
@@ -3167,12 +4820,9 @@ export const SOLUTIONS_LIST = [
   "erics",
   "erned",
   "ernes",
-  "erode",
   "erose",
   "erred",
-  "error",
   "eruct",
-  "erupt",
   "eruvs",
   "erven",
   "ervil",
@@ -3180,25 +4830,19 @@ export const SOLUTIONS_LIST = [
   "eskar",
   "esker",
   "esnes",
-  "essay",
   "esses",
-  "ester",
   "estoc",
   "estop",
   "estro",
   "etage",
   "etape",
   "ethal",
-  "ether",
-  "ethic",
   "ethne",
-  "ethos",
   "ethyl",
   "etics",
   "etnas",
   "ettin",
   "ettle",
-  "etude",
   "etuis",
   "etwee",
   "etyma",
@@ -3207,51 +4851,35 @@ export const SOLUTIONS_LIST = [
   "eupad",
   "euros",
   "eusol",
-  "evade",
   "evens",
-  "event",
   "evert",
-  "every",
   "evets",
   "evhoe",
-  "evict",
   "evils",
   "evite",
   "evohe",
-  "evoke",
   "ewers",
   "ewked",
-  "exact",
-  "exalt",
   "exams",
-  "excel",
   "exeat",
   "execs",
   "exeem",
   "exeme",
-  "exert",
   "exfil",
   "exies",
-  "exile",
   "exine",
   "exing",
-  "exist",
   "exits",
   "exode",
   "exome",
   "exons",
   "expat",
-  "expel",
   "expos",
-  "extol",
-  "extra",
   "exude",
   "exuls",
-  "exult",
   "exurb",
   "eyass",
   "eyers",
-  "eying",
   "eyots",
   "eyras",
   "eyres",
@@ -3259,11 +4887,9 @@ export const SOLUTIONS_LIST = [
   "eyrir",
   "ezine",
   "fabby",
-  "fable",
   "faced",
   "facer",
   "faces",
-  "facet",
   "facia",
   "facta",
   "facts",
@@ -3283,10 +4909,7 @@ export const SOLUTIONS_LIST = [
   "fails",
   "faine",
   "fains",
-  "faint",
   "fairs",
-  "fairy",
-  "faith",
   "faked",
   "faker",
   "fakes",
@@ -3295,24 +4918,20 @@ export const SOLUTIONS_LIST = [
   "fakir",
   "falaj",
   "falls",
-  "false",
   "famed",
   "fames",
   "fanal",
-  "fancy",
   "fands",
   "fanes",
   "fanga",
   "fango",
   "fangs",
   "fanks",
-  "fanny",
   "fanon",
   "fanos",
   "fanum",
   "faqir",
   "farad",
-  "farce",
   "farcy",
   "fards",
   "fared",
@@ -3326,23 +4945,18 @@ export const SOLUTIONS_LIST = [
   "fasci",
   "fasti",
   "fasts",
-  "fatal",
   "fated",
   "fates",
   "fatly",
   "fatso",
-  "fatty",
   "fatwa",
   "faugh",
   "fauld",
-  "fault",
-  "fauna",
   "fauns",
   "fauve",
   "favas",
   "favel",
   "faves",
-  "favor",
   "favus",
   "fawns",
   "fawny",
@@ -3357,10 +4971,8 @@ export const SOLUTIONS_LIST = [
   "feare",
   "fears",
   "fease",
-  "feast",
   "feats",
   "feaze",
-  "fecal",
   "feces",
   "fecks",
   "fedex",
@@ -3371,23 +4983,17 @@ export const SOLUTIONS_LIST = [
   "feers",
   "feese",
   "feeze",
-  "feign",
   "feint",
   "feist",
   "felch",
   "felid",
-  "fella",
   "fells",
   "felly",
-  "felon",
   "felts",
   "felty",
   "femal",
   "femes",
-  "femme",
   "femmy",
-  "femur",
-  "fence",
   "fends",
   "fendy",
   "fenis",
@@ -3396,87 +5002,62 @@ export const SOLUTIONS_LIST = [
   "fents",
   "feods",
   "feoff",
-  "feral",
   "feres",
   "feria",
   "fermi",
   "ferms",
   "ferns",
   "ferny",
-  "ferry",
   "fesse",
   "festa",
   "fests",
   "festy",
-  "fetal",
   "fetas",
-  "fetch",
   "feted",
   "fetes",
-  "fetid",
   "fetor",
   "fetta",
-  "fetus",
   "fetwa",
   "feuar",
   "feuds",
   "feued",
-  "fever",
-  "fewer",
   "feyed",
   "feyer",
   "feyly",
   "fezes",
   "fiars",
   "fiats",
-  "fiber",
-  "fibre",
   "fibro",
   "fices",
   "fiche",
   "fichu",
   "ficin",
-  "ficus",
   "fidge",
   "fidos",
   "fiefs",
-  "field",
-  "fiend",
   "fiers",
-  "fiery",
   "fifed",
   "fifer",
   "fifes",
   "fifis",
-  "fifth",
-  "fifty",
   "figgy",
-  "fight",
   "figos",
   "fiked",
   "fikes",
   "filar",
   "filch",
   "filed",
-  "filer",
   "files",
-  "filet",
   "filks",
   "fillo",
   "fills",
-  "filly",
   "filmi",
   "films",
-  "filmy",
   "filos",
-  "filth",
   "filum",
-  "final",
   "finca",
-  "finch",
   "finds",
   "fined",
-  "finer",
   "fines",
   "finis",
   "finks",
@@ -3493,10 +5074,8 @@ export const SOLUTIONS_LIST = [
   "firms",
   "firns",
   "firry",
-  "first",
   "firth",
   "fiscs",
-  "fishy",
   "fisks",
   "fists",
   "fisty",
@@ -3508,29 +5087,16 @@ export const SOLUTIONS_LIST = [
   "fiver",
   "fives",
   "fixed",
-  "fixer",
   "fixes",
-  "fizzy",
   "fjeld",
-  "fjord",
   "flabs",
-  "flack",
   "flags",
-  "flail",
-  "flair",
-  "flake",
   "flaks",
-  "flaky",
-  "flame",
   "flams",
   "flamy",
-  "flank",
   "flans",
   "flaps",
-  "flare",
   "flary",
-  "flash",
-  "flask",
   "flats",
   "flava",
   "flawn",
@@ -3540,85 +5106,55 @@ export const SOLUTIONS_LIST = [
   "flays",
   "fleam",
   "fleas",
-  "fleck",
   "fleek",
   "fleer",
   "flees",
-  "fleet",
   "flegs",
   "fleme",
-  "flesh",
   "fleur",
   "flews",
   "flexi",
   "flexo",
   "fleys",
-  "flick",
   "flics",
   "flied",
-  "flier",
   "flies",
   "flimp",
   "flims",
-  "fling",
-  "flint",
   "flips",
-  "flirt",
   "flisk",
   "flite",
   "flits",
   "flitt",
-  "float",
   "flobs",
-  "flock",
   "flocs",
   "floes",
   "flogs",
   "flong",
-  "flood",
-  "floor",
   "flops",
-  "flora",
   "flors",
   "flory",
   "flosh",
-  "floss",
   "flota",
   "flote",
-  "flour",
-  "flout",
-  "flown",
   "flows",
   "flubs",
   "flued",
   "flues",
   "fluey",
-  "fluff",
-  "fluid",
-  "fluke",
   "fluky",
-  "flume",
   "flump",
-  "flung",
-  "flunk",
   "fluor",
   "flurr",
-  "flush",
-  "flute",
   "fluty",
   "fluyt",
   "flyby",
-  "flyer",
   "flype",
   "flyte",
   "foals",
   "foams",
-  "foamy",
-  "focal",
-  "focus",
   "foehn",
   "fogey",
-  "foggy",
   "fogie",
   "fogle",
   "fogou",
@@ -3626,15 +5162,12 @@ export const SOLUTIONS_LIST = [
   "foids",
   "foils",
   "foins",
-  "foist",
   "folds",
   "foley",
   "folia",
   "folic",
-  "folio",
   "folks",
   "folky",
-  "folly",
   "fomes",
   "fonda",
   "fonds",
@@ -3648,25 +5181,17 @@ export const SOLUTIONS_LIST = [
   "foots",
   "footy",
   "foram",
-  "foray",
   "forbs",
   "forby",
-  "force",
   "fordo",
   "fords",
   "forel",
   "forex",
-  "forge",
-  "forgo",
   "forks",
   "forky",
   "forme",
   "forms",
-  "forte",
-  "forth",
   "forts",
-  "forty",
-  "forum",
   "fossa",
   "fosse",
   "fouat",
@@ -3674,7 +5199,6 @@ export const SOLUTIONS_LIST = [
   "fouet",
   "foule",
   "fouls",
-  "found",
   "fount",
   "fours",
   "fouth",
@@ -3683,69 +5207,47 @@ export const SOLUTIONS_LIST = [
   "foxed",
   "foxes",
   "foxie",
-  "foyer",
   "foyle",
   "frabs",
   "frack",
   "fract",
   "frags",
-  "frail",
   "fraim",
-  "frame",
   "franc",
-  "frank",
   "frape",
   "fraps",
   "frass",
   "frate",
   "frati",
   "frats",
-  "fraud",
   "fraus",
   "frays",
-  "freak",
-  "freed",
-  "freer",
   "frees",
   "freet",
   "freit",
   "fremd",
   "frena",
   "freon",
-  "fresh",
   "frets",
-  "friar",
   "fribs",
-  "fried",
   "frier",
   "fries",
   "frigs",
-  "frill",
-  "frisk",
   "frist",
   "frith",
   "frits",
   "fritt",
-  "fritz",
   "frize",
   "frizz",
-  "frock",
   "froes",
   "frogs",
-  "frond",
   "frons",
-  "front",
   "frore",
   "frorn",
   "frory",
   "frosh",
-  "frost",
-  "froth",
-  "frown",
   "frows",
-  "froze",
   "frugs",
-  "fruit",
   "frump",
   "frush",
   "fryer",
@@ -3754,7 +5256,6 @@ export const SOLUTIONS_LIST = [
   "fubsy",
   "fucks",
   "fucus",
-  "fudge",
   "fudgy",
   "fuels",
   "fuero",
@@ -3764,10 +5265,8 @@ export const SOLUTIONS_LIST = [
   "fugie",
   "fugle",
   "fugly",
-  "fugue",
   "fujis",
   "fulls",
-  "fully",
   "fumed",
   "fumer",
   "fumes",
@@ -3775,19 +5274,14 @@ export const SOLUTIONS_LIST = [
   "fundi",
   "funds",
   "fundy",
-  "fungi",
   "fungo",
   "fungs",
   "funks",
-  "funky",
-  "funny",
   "furan",
   "furca",
   "furls",
   "furol",
-  "furor",
   "furrs",
-  "furry",
   "furth",
   "furze",
   "furzy",
@@ -3796,7 +5290,6 @@ export const SOLUTIONS_LIST = [
   "fusel",
   "fuses",
   "fusil",
-  "fussy",
   "fusts",
   "fusty",
   "futon",
@@ -3804,7 +5297,6 @@ export const SOLUTIONS_LIST = [
   "fuzee",
   "fuzes",
   "fuzil",
-  "fuzzy",
   "fyked",
   "fykes",
   "fyles",
@@ -3821,12 +5313,10 @@ export const SOLUTIONS_LIST = [
   "gadje",
   "gadjo",
   "gadso",
-  "gaffe",
   "gaffs",
   "gaged",
   "gager",
   "gages",
-  "gaily",
   "gains",
   "gaits",
   "gajos",
@@ -3846,16 +5336,13 @@ export const SOLUTIONS_LIST = [
   "gambo",
   "gambs",
   "gamed",
-  "gamer",
   "games",
   "gamey",
   "gamic",
   "gamin",
-  "gamma",
   "gamme",
   "gammy",
   "gamps",
-  "gamut",
   "ganch",
   "ganef",
   "ganev",
@@ -3878,7 +5365,6 @@ export const SOLUTIONS_LIST = [
   "gases",
   "gasps",
   "gaspy",
-  "gassy",
   "gasts",
   "gatch",
   "gated",
@@ -3887,31 +5373,22 @@ export const SOLUTIONS_LIST = [
   "gator",
   "gauch",
   "gauds",
-  "gaudy",
-  "gauge",
   "gauje",
   "gault",
   "gaums",
   "gaumy",
-  "gaunt",
   "gaups",
   "gaurs",
   "gauss",
-  "gauze",
   "gauzy",
-  "gavel",
   "gavot",
   "gawds",
   "gawks",
-  "gawky",
   "gawps",
   "gayal",
-  "gayer",
-  "gayly",
   "gazal",
   "gazar",
   "gazed",
-  "gazer",
   "gazes",
   "gazon",
   "gazoo",
@@ -3921,12 +5398,9 @@ export const SOLUTIONS_LIST = [
   "gears",
   "geats",
   "gebur",
-  "gecko",
   "gecks",
   "geeks",
-  "geeky",
   "geeps",
-  "geese",
   "geest",
   "geist",
   "gelds",
@@ -3942,13 +5416,11 @@ export const SOLUTIONS_LIST = [
   "genes",
   "genet",
   "genic",
-  "genie",
   "genii",
   "genip",
   "genny",
   "genoa",
   "genom",
-  "genre",
   "genro",
   "gents",
   "genty",
@@ -3972,17 +5444,13 @@ export const SOLUTIONS_LIST = [
   "ghazi",
   "ghees",
   "ghest",
-  "ghost",
-  "ghoul",
   "ghyll",
-  "giant",
   "gibed",
   "gibel",
   "giber",
   "gibes",
   "gibli",
   "gibus",
-  "giddy",
   "gifts",
   "gigot",
   "gigue",
@@ -4004,15 +5472,12 @@ export const SOLUTIONS_LIST = [
   "ginzo",
   "gippo",
   "gippy",
-  "gipsy",
   "girds",
   "girls",
-  "girly",
   "girns",
   "giron",
   "giros",
   "girsh",
-  "girth",
   "girts",
   "gismo",
   "gists",
@@ -4020,27 +5485,18 @@ export const SOLUTIONS_LIST = [
   "gites",
   "giust",
   "gived",
-  "given",
-  "giver",
   "gives",
   "gizmo",
-  "glade",
   "glads",
   "glady",
   "glaik",
   "glair",
   "glams",
-  "gland",
   "glans",
-  "glare",
   "glary",
-  "glass",
   "glaum",
   "glaur",
-  "glaze",
   "glazy",
-  "gleam",
-  "glean",
   "gleba",
   "glebe",
   "gleby",
@@ -4057,32 +5513,24 @@ export const SOLUTIONS_LIST = [
   "glial",
   "glias",
   "glibs",
-  "glide",
   "gliff",
   "glift",
   "glike",
   "glime",
   "glims",
-  "glint",
   "glisk",
   "glitz",
   "gloam",
-  "gloat",
-  "globe",
   "globi",
   "globs",
   "globy",
   "glode",
   "glogg",
   "gloms",
-  "gloom",
   "gloop",
   "glops",
-  "glory",
-  "gloss",
   "glost",
   "glout",
-  "glove",
   "glows",
   "gloze",
   "glued",
@@ -4095,15 +5543,12 @@ export const SOLUTIONS_LIST = [
   "gluon",
   "glute",
   "gluts",
-  "glyph",
   "gnarl",
   "gnarr",
   "gnars",
-  "gnash",
   "gnats",
   "gnawn",
   "gnaws",
-  "gnome",
   "gnows",
   "goads",
   "goafs",
@@ -4117,7 +5562,6 @@ export const SOLUTIONS_LIST = [
   "gobby",
   "gobos",
   "godet",
-  "godly",
   "godso",
   "goels",
   "goers",
@@ -4128,23 +5572,18 @@ export const SOLUTIONS_LIST = [
   "goffs",
   "gogga",
   "gogos",
-  "going",
   "gojis",
   "golds",
   "goldy",
-  "golem",
   "goles",
   "golfs",
-  "golly",
   "golpe",
   "golps",
   "gombo",
   "gomer",
   "gompa",
-  "gonad",
   "gonch",
   "gonef",
-  "goner",
   "gongs",
   "gonia",
   "gonif",
@@ -4154,10 +5593,7 @@ export const SOLUTIONS_LIST = [
   "gonys",
   "gonzo",
   "goods",
-  "goody",
-  "gooey",
   "goofs",
-  "goofy",
   "googs",
   "gooks",
   "gooky",
@@ -4166,7 +5602,6 @@ export const SOLUTIONS_LIST = [
   "goony",
   "goops",
   "goopy",
-  "goose",
   "goosy",
   "gopak",
   "gopik",
@@ -4174,7 +5609,6 @@ export const SOLUTIONS_LIST = [
   "goras",
   "gored",
   "gores",
-  "gorge",
   "goris",
   "gorms",
   "gormy",
@@ -4186,10 +5620,8 @@ export const SOLUTIONS_LIST = [
   "gothy",
   "gotta",
   "gouch",
-  "gouge",
   "gouks",
   "goura",
-  "gourd",
   "gouts",
   "gouty",
   "gowan",
@@ -4200,41 +5632,22 @@ export const SOLUTIONS_LIST = [
   "goyle",
   "graal",
   "grabs",
-  "grace",
-  "grade",
   "grads",
   "graff",
-  "graft",
-  "grail",
-  "grain",
   "grama",
   "grame",
   "gramp",
   "grams",
   "grana",
-  "grand",
   "grans",
-  "grant",
-  "grape",
-  "graph",
   "grapy",
-  "grasp",
-  "grass",
-  "grate",
-  "grave",
   "gravs",
-  "gravy",
   "grays",
-  "graze",
-  "great",
   "grebe",
   "grebo",
   "grece",
-  "greed",
   "greek",
-  "green",
   "grees",
-  "greet",
   "grege",
   "grego",
   "grens",
@@ -4242,18 +5655,12 @@ export const SOLUTIONS_LIST = [
   "grice",
   "gride",
   "grids",
-  "grief",
   "griff",
   "grift",
   "grigs",
   "grike",
-  "grill",
-  "grime",
-  "grimy",
-  "grind",
   "grins",
   "griot",
-  "gripe",
   "grips",
   "gript",
   "gripy",
@@ -4263,36 +5670,23 @@ export const SOLUTIONS_LIST = [
   "grith",
   "grits",
   "grize",
-  "groan",
   "groat",
   "grody",
   "grogs",
-  "groin",
   "groks",
   "groma",
   "grone",
-  "groom",
-  "grope",
-  "gross",
   "grosz",
   "grots",
-  "group",
-  "grout",
-  "grove",
   "grovy",
-  "growl",
-  "grown",
   "grows",
   "grrls",
   "grrrl",
   "grubs",
   "grued",
-  "gruel",
   "grues",
-  "gruff",
   "grume",
   "grump",
-  "grunt",
   "gryde",
   "gryke",
   "grype",
@@ -4301,40 +5695,27 @@ export const SOLUTIONS_LIST = [
   "guana",
   "guano",
   "guans",
-  "guard",
   "guars",
-  "guava",
   "gucks",
   "gucky",
-  "guess",
-  "guest",
   "guffs",
   "gugas",
-  "guide",
   "guids",
-  "guild",
-  "guile",
-  "guilt",
   "guimp",
   "guiro",
-  "guise",
   "gulag",
   "gular",
   "gulas",
-  "gulch",
   "gules",
   "gulet",
   "gulfs",
   "gulfy",
   "gulls",
-  "gully",
   "gulph",
   "gulps",
   "gulpy",
-  "gumbo",
   "gumma",
   "gummi",
-  "gummy",
   "gumps",
   "gundy",
   "gunge",
@@ -4342,7 +5723,6 @@ export const SOLUTIONS_LIST = [
   "gunks",
   "gunky",
   "gunny",
-  "guppy",
   "guqin",
   "gurdy",
   "gurge",
@@ -4357,9 +5737,7 @@ export const SOLUTIONS_LIST = [
   "gusle",
   "gusli",
   "gussy",
-  "gusto",
   "gusts",
-  "gusty",
   "gutsy",
   "gutta",
   "gutty",
@@ -4381,7 +5759,6 @@ export const SOLUTIONS_LIST = [
   "gypos",
   "gyppo",
   "gyppy",
-  "gypsy",
   "gyral",
   "gyred",
   "gyres",
@@ -4391,7 +5768,6 @@ export const SOLUTIONS_LIST = [
   "gyved",
   "gyves",
   "haars",
-  "habit",
   "hable",
   "habus",
   "hacek",
@@ -4414,7 +5790,6 @@ export const SOLUTIONS_LIST = [
   "hains",
   "haint",
   "hairs",
-  "hairy",
   "hajes",
   "hajis",
   "hajji",
@@ -4439,7 +5814,6 @@ export const SOLUTIONS_LIST = [
   "halse",
   "halts",
   "halva",
-  "halve",
   "halwa",
   "hamal",
   "hames",
@@ -4449,7 +5823,6 @@ export const SOLUTIONS_LIST = [
   "hance",
   "hanch",
   "hands",
-  "handy",
   "hangi",
   "hangs",
   "hanks",
@@ -4461,13 +5834,10 @@ export const SOLUTIONS_LIST = [
   "hapax",
   "haply",
   "happi",
-  "happy",
   "hapus",
   "haram",
   "hards",
-  "hardy",
   "hared",
-  "harem",
   "hares",
   "harim",
   "harks",
@@ -4475,19 +5845,12 @@ export const SOLUTIONS_LIST = [
   "harms",
   "harns",
   "harps",
-  "harpy",
-  "harry",
-  "harsh",
   "harts",
   "hashy",
   "hasks",
   "hasps",
   "hasta",
-  "haste",
-  "hasty",
-  "hatch",
   "hated",
-  "hater",
   "hates",
   "hatha",
   "haugh",
@@ -4495,13 +5858,9 @@ export const SOLUTIONS_LIST = [
   "haulm",
   "hauls",
   "hault",
-  "haunt",
   "hause",
-  "haute",
-  "haven",
   "haver",
   "haves",
-  "havoc",
   "hawed",
   "hawks",
   "hawms",
@@ -4511,47 +5870,35 @@ export const SOLUTIONS_LIST = [
   "hayey",
   "hazan",
   "hazed",
-  "hazel",
   "hazer",
   "hazes",
   "heads",
-  "heady",
   "heald",
   "heals",
   "heaps",
   "heapy",
-  "heard",
   "heare",
   "hears",
-  "heart",
   "heast",
-  "heath",
   "heats",
-  "heave",
-  "heavy",
   "heben",
   "hebes",
   "hecks",
   "heder",
-  "hedge",
   "hedgy",
   "heeds",
   "heedy",
   "heels",
   "heeze",
   "hefts",
-  "hefty",
   "heigh",
   "heils",
   "heirs",
-  "heist",
   "hejab",
   "hejra",
   "heled",
   "heles",
   "helio",
-  "helix",
-  "hello",
   "hells",
   "helms",
   "helos",
@@ -4564,7 +5911,6 @@ export const SOLUTIONS_LIST = [
   "hemin",
   "hemps",
   "hempy",
-  "hence",
   "hench",
   "hends",
   "henge",
@@ -4581,7 +5927,6 @@ export const SOLUTIONS_LIST = [
   "herma",
   "herms",
   "herns",
-  "heron",
   "heros",
   "herry",
   "herse",
@@ -4615,37 +5960,30 @@ export const SOLUTIONS_LIST = [
   "hilch",
   "hillo",
   "hills",
-  "hilly",
   "hilts",
   "hilum",
   "hilus",
   "himbo",
   "hinau",
   "hinds",
-  "hinge",
   "hinky",
   "hinny",
   "hints",
   "hiply",
-  "hippo",
-  "hippy",
   "hired",
   "hiree",
   "hirer",
   "hires",
   "hissy",
   "hists",
-  "hitch",
   "hithe",
   "hived",
   "hiver",
   "hives",
   "hoagy",
-  "hoard",
   "hoars",
   "hoary",
   "hoast",
-  "hobby",
   "hobos",
   "hocks",
   "hocus",
@@ -4659,7 +5997,6 @@ export const SOLUTIONS_LIST = [
   "hoiks",
   "hoing",
   "hoise",
-  "hoist",
   "hoked",
   "hokes",
   "hokey",
@@ -4672,14 +6009,12 @@ export const SOLUTIONS_LIST = [
   "holks",
   "holla",
   "hollo",
-  "holly",
   "holme",
   "holms",
   "holon",
   "holos",
   "holts",
   "homed",
-  "homer",
   "homes",
   "homey",
   "homie",
@@ -4688,12 +6023,10 @@ export const SOLUTIONS_LIST = [
   "honed",
   "honer",
   "hones",
-  "honey",
   "hongi",
   "hongs",
   "honks",
   "honky",
-  "honor",
   "hooch",
   "hoods",
   "hoody",
@@ -4718,12 +6051,9 @@ export const SOLUTIONS_LIST = [
   "horah",
   "horal",
   "horas",
-  "horde",
   "horis",
   "horks",
   "horns",
-  "horny",
-  "horse",
   "horst",
   "horsy",
   "hosed",
@@ -4735,22 +6065,15 @@ export const SOLUTIONS_LIST = [
   "hosta",
   "hosts",
   "hotch",
-  "hotel",
-  "hotly",
   "hotty",
   "hough",
-  "hound",
   "houri",
   "hours",
-  "house",
   "houts",
   "hoved",
-  "hovel",
   "hoven",
-  "hover",
   "hoves",
   "howbe",
-  "howdy",
   "howes",
   "howff",
   "howfs",
@@ -4779,38 +6102,25 @@ export const SOLUTIONS_LIST = [
   "hullo",
   "hulls",
   "hully",
-  "human",
   "humfs",
   "humic",
-  "humid",
-  "humor",
-  "humph",
   "humps",
   "humpy",
-  "humus",
-  "hunch",
   "hunks",
-  "hunky",
   "hunts",
   "hurds",
   "hurls",
   "hurly",
   "hurra",
-  "hurry",
   "hurst",
   "hurts",
   "hushy",
   "husks",
-  "husky",
   "husos",
-  "hussy",
-  "hutch",
   "hutia",
   "huzza",
   "huzzy",
   "hydra",
-  "hydro",
-  "hyena",
   "hyens",
   "hygge",
   "hying",
@@ -4818,12 +6128,10 @@ export const SOLUTIONS_LIST = [
   "hylas",
   "hyleg",
   "hylic",
-  "hymen",
   "hymns",
   "hynde",
   "hyoid",
   "hyped",
-  "hyper",
   "hypes",
   "hypha",
   "hyphy",
@@ -4837,8 +6145,6 @@ export const SOLUTIONS_LIST = [
   "icers",
   "ichor",
   "icier",
-  "icily",
-  "icing",
   "icker",
   "ickle",
   "icons",
@@ -4846,22 +6152,16 @@ export const SOLUTIONS_LIST = [
   "ictic",
   "ictus",
   "idant",
-  "ideal",
   "ideas",
   "ident",
-  "idiom",
-  "idiot",
   "idled",
-  "idler",
   "idles",
   "idola",
   "idols",
-  "idyll",
   "idyls",
   "iftar",
   "igapo",
   "igged",
-  "igloo",
   "iglus",
   "ihram",
   "ikats",
@@ -4870,19 +6170,16 @@ export const SOLUTIONS_LIST = [
   "ileal",
   "ileum",
   "ileus",
-  "iliac",
   "ilial",
   "ilium",
   "iller",
   "illth",
-  "image",
   "imago",
   "imams",
   "imari",
   "imaum",
   "imbar",
   "imbed",
-  "imbue",
   "imide",
   "imido",
   "imids",
@@ -4892,57 +6189,41 @@ export const SOLUTIONS_LIST = [
   "immit",
   "immix",
   "imped",
-  "impel",
   "impis",
-  "imply",
   "impot",
   "impro",
   "imshi",
   "imshy",
-  "inane",
   "inapt",
-  "inbox",
   "inbye",
   "incel",
   "incle",
   "incog",
-  "incur",
   "incus",
   "incut",
   "indew",
-  "index",
   "india",
   "indie",
   "indol",
   "indow",
   "indri",
   "indue",
-  "inept",
   "inerm",
-  "inert",
-  "infer",
   "infix",
   "infra",
   "ingle",
-  "ingot",
   "inion",
   "inked",
   "inker",
-  "inkle",
-  "inlay",
-  "inlet",
+  "inkle",
   "inned",
-  "inner",
   "innit",
   "inorb",
-  "input",
   "inrun",
   "inset",
   "inspo",
   "intel",
-  "inter",
   "intis",
-  "intro",
   "inula",
   "inure",
   "inurn",
@@ -4952,32 +6233,25 @@ export const SOLUTIONS_LIST = [
   "iodic",
   "iodid",
   "iodin",
-  "ionic",
   "iotas",
   "ippon",
   "irade",
-  "irate",
   "irids",
   "iring",
   "irked",
   "iroko",
   "irone",
   "irons",
-  "irony",
   "isbas",
   "ishes",
   "isled",
   "isles",
-  "islet",
   "isnae",
   "issei",
-  "issue",
   "istle",
-  "itchy",
   "items",
   "ivied",
   "ivies",
-  "ivory",
   "ixias",
   "ixnay",
   "ixora",
@@ -5023,14 +6297,12 @@ export const SOLUTIONS_LIST = [
   "jasey",
   "jaspe",
   "jatos",
-  "jaunt",
   "jaups",
   "javas",
   "javel",
   "jawan",
   "jawed",
   "jaxie",
-  "jazzy",
   "jeans",
   "jeats",
   "jebel",
@@ -5045,21 +6317,17 @@ export const SOLUTIONS_LIST = [
   "jelab",
   "jello",
   "jells",
-  "jelly",
   "jembe",
   "jemmy",
   "jenny",
   "jeons",
   "jerid",
   "jerks",
-  "jerky",
   "jerry",
   "jests",
   "jetes",
   "jeton",
-  "jetty",
   "jewed",
-  "jewel",
   "jewie",
   "jhala",
   "jiaos",
@@ -5069,7 +6337,6 @@ export const SOLUTIONS_LIST = [
   "jiber",
   "jibes",
   "jiffs",
-  "jiffy",
   "jiggy",
   "jigot",
   "jihad",
@@ -5100,16 +6367,12 @@ export const SOLUTIONS_LIST = [
   "joeys",
   "johns",
   "joins",
-  "joint",
-  "joist",
   "joked",
-  "joker",
   "jokes",
   "jokey",
   "joled",
   "joles",
   "jolls",
-  "jolly",
   "jolts",
   "jolty",
   "jomos",
@@ -5126,7 +6389,6 @@ export const SOLUTIONS_LIST = [
   "jouks",
   "joule",
   "jours",
-  "joust",
   "jowar",
   "jowed",
   "jowls",
@@ -5136,33 +6398,25 @@ export const SOLUTIONS_LIST = [
   "jubes",
   "jucos",
   "judas",
-  "judge",
   "judgy",
   "jugal",
   "jugum",
-  "juice",
-  "juicy",
   "jujus",
   "juked",
   "jukes",
   "jukus",
   "julep",
   "jumar",
-  "jumbo",
   "jumby",
   "jumps",
-  "jumpy",
   "junco",
   "junks",
   "junky",
-  "junta",
-  "junto",
   "jupes",
   "jupon",
   "jural",
   "jurat",
   "jurel",
-  "juror",
   "justs",
   "jutes",
   "jutty",
@@ -5211,12 +6465,10 @@ export const SOLUTIONS_LIST = [
   "kaphs",
   "kapok",
   "kapow",
-  "kappa",
   "kapus",
   "kaput",
   "karas",
   "karat",
-  "karma",
   "karns",
   "karoo",
   "karri",
@@ -5236,13 +6488,11 @@ export const SOLUTIONS_LIST = [
   "kavas",
   "kawau",
   "kawed",
-  "kayak",
   "kayle",
   "kayos",
   "kazis",
   "kazoo",
   "kbars",
-  "kebab",
   "kebob",
   "kecks",
   "kedge",
@@ -5296,7 +6546,6 @@ export const SOLUTIONS_LIST = [
   "keyer",
   "khadi",
   "khafs",
-  "khaki",
   "khans",
   "khaph",
   "khats",
@@ -5343,10 +6592,8 @@ export const SOLUTIONS_LIST = [
   "kings",
   "kinin",
   "kinks",
-  "kinky",
   "kinos",
   "kiore",
-  "kiosk",
   "kipes",
   "kippa",
   "kirby",
@@ -5359,7 +6606,6 @@ export const SOLUTIONS_LIST = [
   "kites",
   "kithe",
   "kiths",
-  "kitty",
   "kitul",
   "kivas",
   "kiwis",
@@ -5372,39 +6618,28 @@ export const SOLUTIONS_LIST = [
   "kloof",
   "kluge",
   "klutz",
-  "knack",
   "knags",
   "knaps",
   "knarl",
   "knars",
   "knaur",
-  "knave",
-  "knead",
-  "kneed",
-  "kneel",
   "knees",
   "knell",
-  "knelt",
-  "knife",
   "knish",
   "knits",
   "knive",
   "knobs",
-  "knock",
-  "knoll",
   "knops",
   "knosp",
   "knots",
   "knout",
   "knowe",
-  "known",
   "knows",
   "knubs",
   "knurl",
   "knurr",
   "knurs",
   "knuts",
-  "koala",
   "koans",
   "koban",
   "kobos",
@@ -5458,7 +6693,6 @@ export const SOLUTIONS_LIST = [
   "krays",
   "kreng",
   "krewe",
-  "krill",
   "krona",
   "krone",
   "kroon",
@@ -5509,10 +6743,8 @@ export const SOLUTIONS_LIST = [
   "kythe",
   "laari",
   "labda",
-  "label",
   "labia",
   "labis",
-  "labor",
   "labra",
   "laced",
   "lacer",
@@ -5522,13 +6754,10 @@ export const SOLUTIONS_LIST = [
   "lacks",
   "laddy",
   "laded",
-  "laden",
   "lader",
   "lades",
-  "ladle",
   "laevo",
   "lagan",
-  "lager",
   "lahal",
   "lahar",
   "laics",
@@ -5557,23 +6786,18 @@ export const SOLUTIONS_LIST = [
   "lammy",
   "lamps",
   "lanai",
-  "lance",
   "lanch",
   "lande",
   "lands",
   "lanes",
   "lanks",
-  "lanky",
   "lants",
-  "lapel",
   "lapin",
   "lapis",
-  "lapse",
   "larch",
   "lards",
   "lardy",
   "lares",
-  "large",
   "largo",
   "laris",
   "larks",
@@ -5581,31 +6805,24 @@ export const SOLUTIONS_LIST = [
   "larns",
   "larnt",
   "larum",
-  "larva",
   "lased",
   "laser",
   "lases",
   "lassi",
-  "lasso",
   "lassu",
   "lassy",
   "lasts",
   "latah",
-  "latch",
   "lated",
   "laten",
-  "later",
   "latex",
-  "lathe",
   "lathi",
   "laths",
   "lathy",
   "latke",
-  "latte",
   "latus",
   "lauan",
   "lauds",
-  "laugh",
   "laund",
   "laura",
   "laval",
@@ -5625,7 +6842,6 @@ export const SOLUTIONS_LIST = [
   "laxes",
   "laxly",
   "layed",
-  "layer",
   "layin",
   "layup",
   "lazar",
@@ -5634,49 +6850,33 @@ export const SOLUTIONS_LIST = [
   "lazos",
   "lazzi",
   "lazzo",
-  "leach",
   "leads",
   "leady",
   "leafs",
-  "leafy",
   "leaks",
-  "leaky",
   "leams",
   "leans",
-  "leant",
   "leany",
   "leaps",
-  "leapt",
-  "learn",
   "lears",
   "leary",
-  "lease",
-  "leash",
-  "least",
   "leats",
-  "leave",
   "leavy",
   "leaze",
   "leccy",
   "ledes",
-  "ledge",
   "ledgy",
   "ledum",
-  "leech",
   "leeks",
   "leers",
-  "leery",
   "leese",
   "leets",
   "lefte",
   "lefts",
-  "lefty",
-  "legal",
   "leger",
   "leges",
   "legge",
   "leggo",
-  "leggy",
   "legit",
   "lehrs",
   "lehua",
@@ -5687,8 +6887,6 @@ export const SOLUTIONS_LIST = [
   "lemes",
   "lemma",
   "lemme",
-  "lemon",
-  "lemur",
   "lends",
   "lenes",
   "lenis",
@@ -5696,7 +6894,6 @@ export const SOLUTIONS_LIST = [
   "lense",
   "lento",
   "leone",
-  "leper",
   "lepid",
   "lepra",
   "lepta",
@@ -5710,8 +6907,6 @@ export const SOLUTIONS_LIST = [
   "leuds",
   "levas",
   "levee",
-  "level",
-  "lever",
   "levin",
   "lewis",
   "lexes",
@@ -5723,7 +6918,6 @@ export const SOLUTIONS_LIST = [
   "liang",
   "liard",
   "liars",
-  "libel",
   "liber",
   "libra",
   "libri",
@@ -5732,7 +6926,6 @@ export const SOLUTIONS_LIST = [
   "licks",
   "lidar",
   "lidos",
-  "liege",
   "liens",
   "liers",
   "lieve",
@@ -5741,14 +6934,11 @@ export const SOLUTIONS_LIST = [
   "lifts",
   "ligan",
   "liger",
-  "light",
   "ligne",
   "liked",
-  "liken",
   "liker",
   "likes",
   "likin",
-  "lilac",
   "lills",
   "lilos",
   "lilts",
@@ -5757,14 +6947,12 @@ export const SOLUTIONS_LIST = [
   "limax",
   "limba",
   "limbi",
-  "limbo",
   "limbs",
   "limby",
   "limed",
   "limen",
   "limes",
   "limey",
-  "limit",
   "limma",
   "limns",
   "limos",
@@ -5775,12 +6963,9 @@ export const SOLUTIONS_LIST = [
   "linds",
   "lindy",
   "lined",
-  "linen",
-  "liner",
   "lines",
   "liney",
   "linga",
-  "lingo",
   "lings",
   "lingy",
   "linin",
@@ -5794,7 +6979,6 @@ export const SOLUTIONS_LIST = [
   "linux",
   "lions",
   "lipas",
-  "lipid",
   "lipin",
   "lipos",
   "lippy",
@@ -5809,34 +6993,26 @@ export const SOLUTIONS_LIST = [
   "lited",
   "liter",
   "lites",
-  "lithe",
   "litho",
   "liths",
   "litre",
   "lived",
   "liven",
-  "liver",
   "lives",
-  "livid",
   "livor",
   "livre",
-  "llama",
   "llano",
   "loach",
   "loads",
   "loafs",
   "loams",
-  "loamy",
   "loans",
-  "loath",
   "loave",
   "lobar",
-  "lobby",
   "lobed",
   "lobes",
   "lobos",
   "lobus",
-  "local",
   "loche",
   "lochs",
   "locie",
@@ -5844,20 +7020,15 @@ export const SOLUTIONS_LIST = [
   "locks",
   "locos",
   "locum",
-  "locus",
   "loden",
   "lodes",
-  "lodge",
   "loess",
   "lofts",
-  "lofty",
   "logan",
   "loges",
   "loggy",
   "logia",
-  "logic",
   "logie",
-  "login",
   "logoi",
   "logon",
   "logos",
@@ -5886,9 +7057,7 @@ export const SOLUTIONS_LIST = [
   "loons",
   "loony",
   "loops",
-  "loopy",
   "loord",
-  "loose",
   "loots",
   "loped",
   "loper",
@@ -5901,10 +7070,8 @@ export const SOLUTIONS_LIST = [
   "lores",
   "loric",
   "loris",
-  "lorry",
   "losed",
   "losel",
-  "loser",
   "loses",
   "lossy",
   "lotah",
@@ -5928,35 +7095,27 @@ export const SOLUTIONS_LIST = [
   "loure",
   "lours",
   "loury",
-  "louse",
-  "lousy",
   "louts",
   "lovat",
   "loved",
-  "lover",
   "loves",
   "lovey",
   "lovie",
   "lowan",
   "lowed",
-  "lower",
   "lowes",
-  "lowly",
   "lowne",
   "lowns",
   "lowps",
   "lowry",
   "loxed",
   "loxes",
-  "loyal",
   "luaus",
   "lubed",
   "lubes",
   "lubra",
   "luces",
-  "lucid",
   "lucks",
-  "lucky",
   "lucre",
   "ludes",
   "ludic",
@@ -5970,31 +7129,23 @@ export const SOLUTIONS_LIST = [
   "lulus",
   "lumas",
   "lumbi",
-  "lumen",
   "lumme",
   "lummy",
   "lumps",
-  "lumpy",
-  "lunar",
   "lunas",
-  "lunch",
   "lunes",
   "lunet",
-  "lunge",
   "lungi",
   "lungs",
   "lunks",
   "lunts",
   "lupin",
-  "lupus",
-  "lurch",
   "lured",
   "lurer",
   "lures",
   "lurex",
   "lurgi",
   "lurgy",
-  "lurid",
   "lurks",
   "lurry",
   "lurve",
@@ -6002,7 +7153,6 @@ export const SOLUTIONS_LIST = [
   "lushy",
   "lusks",
   "lusts",
-  "lusty",
   "lusus",
   "lutea",
   "luted",
@@ -6017,13 +7167,9 @@ export const SOLUTIONS_LIST = [
   "lycea",
   "lycee",
   "lycra",
-  "lying",
   "lymes",
-  "lymph",
-  "lynch",
   "lynes",
   "lyres",
-  "lyric",
   "lysed",
   "lyses",
   "lysin",
@@ -6038,27 +7184,19 @@ export const SOLUTIONS_LIST = [
   "maars",
   "mabes",
   "macas",
-  "macaw",
   "maced",
   "macer",
   "maces",
   "mache",
   "machi",
-  "macho",
   "macks",
   "macle",
   "macon",
-  "macro",
-  "madam",
   "madge",
   "madid",
-  "madly",
   "maerl",
-  "mafia",
   "mafic",
   "mages",
-  "magic",
-  "magma",
   "magot",
   "magus",
   "mahoe",
@@ -6072,10 +7210,7 @@ export const SOLUTIONS_LIST = [
   "mains",
   "mairs",
   "maist",
-  "maize",
-  "major",
   "makar",
-  "maker",
   "makes",
   "makis",
   "makos",
@@ -6096,12 +7231,9 @@ export const SOLUTIONS_LIST = [
   "malwa",
   "mamas",
   "mamba",
-  "mambo",
   "mamee",
   "mamey",
   "mamie",
-  "mamma",
-  "mammy",
   "manas",
   "manat",
   "mandi",
@@ -6110,18 +7242,10 @@ export const SOLUTIONS_LIST = [
   "maneh",
   "manes",
   "manet",
-  "manga",
-  "mange",
-  "mango",
   "mangs",
-  "mangy",
-  "mania",
-  "manic",
   "manis",
   "manky",
-  "manly",
   "manna",
-  "manor",
   "manos",
   "manse",
   "manta",
@@ -6130,12 +7254,10 @@ export const SOLUTIONS_LIST = [
   "manul",
   "manus",
   "mapau",
-  "maple",
   "maqui",
   "marae",
   "marah",
   "maras",
-  "march",
   "marcs",
   "mardy",
   "mares",
@@ -6151,9 +7273,7 @@ export const SOLUTIONS_LIST = [
   "maror",
   "marra",
   "marri",
-  "marry",
   "marse",
-  "marsh",
   "marts",
   "marvy",
   "masas",
@@ -6162,18 +7282,14 @@ export const SOLUTIONS_LIST = [
   "mases",
   "mashy",
   "masks",
-  "mason",
   "massa",
-  "masse",
   "massy",
   "masts",
   "masty",
   "matai",
-  "match",
   "mated",
   "mater",
   "mates",
-  "matey",
   "maths",
   "matin",
   "matlo",
@@ -6186,7 +7302,6 @@ export const SOLUTIONS_LIST = [
   "mauls",
   "maund",
   "mauri",
-  "mauve",
   "mauzy",
   "maven",
   "mavin",
@@ -6197,11 +7312,8 @@ export const SOLUTIONS_LIST = [
   "mawns",
   "maxed",
   "maxes",
-  "maxim",
   "maxis",
-  "maybe",
   "mayed",
-  "mayor",
   "mayos",
   "mayst",
   "mazed",
@@ -6212,23 +7324,16 @@ export const SOLUTIONS_LIST = [
   "mbira",
   "meads",
   "meals",
-  "mealy",
   "meane",
   "means",
-  "meant",
   "meany",
   "meare",
   "mease",
   "meath",
   "meats",
-  "meaty",
   "mebos",
-  "mecca",
   "mechs",
   "mecks",
-  "medal",
-  "media",
-  "medic",
   "medii",
   "medle",
   "meeds",
@@ -6239,11 +7344,9 @@ export const SOLUTIONS_LIST = [
   "melas",
   "melba",
   "melds",
-  "melee",
   "melic",
   "melik",
   "mells",
-  "melon",
   "melts",
   "melty",
   "memes",
@@ -6262,17 +7365,13 @@ export const SOLUTIONS_LIST = [
   "meows",
   "merch",
   "mercs",
-  "mercy",
   "merde",
   "mered",
   "merer",
   "meres",
-  "merge",
-  "merit",
   "merks",
   "merle",
   "merls",
-  "merry",
   "merse",
   "mesal",
   "mesas",
@@ -6284,9 +7383,7 @@ export const SOLUTIONS_LIST = [
   "meson",
   "messy",
   "mesto",
-  "metal",
   "meted",
-  "meter",
   "metes",
   "metho",
   "meths",
@@ -6295,7 +7392,6 @@ export const SOLUTIONS_LIST = [
   "metis",
   "metol",
   "metre",
-  "metro",
   "mewed",
   "mewls",
   "meynt",
@@ -6312,18 +7408,14 @@ export const SOLUTIONS_LIST = [
   "micks",
   "micky",
   "micos",
-  "micro",
   "middy",
-  "midge",
   "midgy",
   "midis",
-  "midst",
   "miens",
   "mieve",
   "miffs",
   "miffy",
   "mifty",
-  "might",
   "mihis",
   "miked",
   "mikes",
@@ -6336,7 +7428,6 @@ export const SOLUTIONS_LIST = [
   "milia",
   "milko",
   "milks",
-  "milky",
   "mille",
   "mills",
   "milor",
@@ -6349,30 +7440,23 @@ export const SOLUTIONS_LIST = [
   "mimeo",
   "mimer",
   "mimes",
-  "mimic",
   "mimsy",
   "minae",
   "minar",
   "minas",
-  "mince",
   "mincy",
   "minds",
   "mined",
-  "miner",
   "mines",
   "minge",
   "mings",
   "mingy",
-  "minim",
   "minis",
   "minke",
   "minks",
   "minny",
-  "minor",
   "minos",
   "mints",
-  "minty",
-  "minus",
   "mired",
   "mires",
   "mirex",
@@ -6381,16 +7465,13 @@ export const SOLUTIONS_LIST = [
   "mirks",
   "mirky",
   "miros",
-  "mirth",
   "mirvs",
   "mirza",
   "misdo",
-  "miser",
   "mises",
   "misgo",
   "misos",
   "missa",
-  "missy",
   "mists",
   "misty",
   "mitch",
@@ -6415,13 +7496,9 @@ export const SOLUTIONS_LIST = [
   "mobey",
   "mobie",
   "moble",
-  "mocha",
   "mochi",
   "mochy",
   "mocks",
-  "modal",
-  "model",
-  "modem",
   "moder",
   "modes",
   "modii",
@@ -6429,7 +7506,6 @@ export const SOLUTIONS_LIST = [
   "moers",
   "mofos",
   "moggy",
-  "mogul",
   "mohel",
   "mohos",
   "mohrs",
@@ -6438,16 +7514,13 @@ export const SOLUTIONS_LIST = [
   "moile",
   "moils",
   "moire",
-  "moist",
   "mojos",
   "mokes",
   "mokis",
   "mokos",
   "molal",
-  "molar",
   "molas",
   "molds",
-  "moldy",
   "moled",
   "moles",
   "molla",
@@ -6463,7 +7536,6 @@ export const SOLUTIONS_LIST = [
   "monde",
   "mondo",
   "moner",
-  "money",
   "mongo",
   "mongs",
   "monic",
@@ -6471,11 +7543,9 @@ export const SOLUTIONS_LIST = [
   "monks",
   "monos",
   "monte",
-  "month",
   "moobs",
   "mooch",
   "moods",
-  "moody",
   "mooed",
   "mooks",
   "moola",
@@ -6487,7 +7557,6 @@ export const SOLUTIONS_LIST = [
   "moony",
   "moors",
   "moory",
-  "moose",
   "moots",
   "moove",
   "moped",
@@ -6498,7 +7567,6 @@ export const SOLUTIONS_LIST = [
   "mopsy",
   "mopus",
   "morae",
-  "moral",
   "moras",
   "morat",
   "moray",
@@ -6507,28 +7575,21 @@ export const SOLUTIONS_LIST = [
   "moria",
   "morne",
   "morns",
-  "moron",
-  "morph",
   "morra",
   "morro",
   "morse",
   "morts",
   "mosey",
   "mosks",
-  "mossy",
   "moste",
   "mosts",
   "moted",
-  "motel",
   "motes",
   "motet",
   "motey",
   "moths",
   "mothy",
-  "motif",
-  "motor",
   "motte",
-  "motto",
   "motts",
   "motty",
   "motus",
@@ -6536,20 +7597,11 @@ export const SOLUTIONS_LIST = [
   "mouch",
   "moues",
   "mould",
-  "moult",
-  "mound",
-  "mount",
-  "mourn",
-  "mouse",
   "mousy",
-  "mouth",
   "moved",
-  "mover",
   "moves",
-  "movie",
   "mowas",
   "mowed",
-  "mower",
   "mowra",
   "moxas",
   "moxie",
@@ -6563,11 +7615,8 @@ export const SOLUTIONS_LIST = [
   "mucid",
   "mucin",
   "mucks",
-  "mucky",
   "mucor",
   "mucro",
-  "mucus",
-  "muddy",
   "mudge",
   "mudir",
   "mudra",
@@ -6579,7 +7628,6 @@ export const SOLUTIONS_LIST = [
   "muids",
   "muirs",
   "mujik",
-  "mulch",
   "mulct",
   "muled",
   "mules",
@@ -6591,11 +7639,9 @@ export const SOLUTIONS_LIST = [
   "mulse",
   "mulsh",
   "mumms",
-  "mummy",
   "mumps",
   "mumsy",
   "mumus",
-  "munch",
   "munga",
   "munge",
   "mungo",
@@ -6604,13 +7650,11 @@ export const SOLUTIONS_LIST = [
   "munts",
   "muntu",
   "muons",
-  "mural",
   "mured",
   "mures",
   "murex",
   "murid",
   "murks",
-  "murky",
   "murra",
   "murre",
   "murri",
@@ -6625,16 +7669,12 @@ export const SOLUTIONS_LIST = [
   "muses",
   "muset",
   "musha",
-  "mushy",
-  "music",
   "musit",
   "musks",
-  "musky",
   "musos",
   "mussy",
   "musth",
   "musts",
-  "musty",
   "mutch",
   "muted",
   "muter",
@@ -6657,7 +7697,6 @@ export const SOLUTIONS_LIST = [
   "myope",
   "myops",
   "myopy",
-  "myrrh",
   "mysid",
   "mythi",
   "myths",
@@ -6671,7 +7710,6 @@ export const SOLUTIONS_LIST = [
   "nabob",
   "nacho",
   "nacre",
-  "nadir",
   "naeve",
   "naevi",
   "nagas",
@@ -6683,7 +7721,6 @@ export const SOLUTIONS_LIST = [
   "naiks",
   "nails",
   "naira",
-  "naive",
   "naked",
   "naker",
   "nakfa",
@@ -6699,7 +7736,6 @@ export const SOLUTIONS_LIST = [
   "nancy",
   "nandu",
   "nanna",
-  "nanny",
   "nanos",
   "nanua",
   "napas",
@@ -6718,17 +7754,12 @@ export const SOLUTIONS_LIST = [
   "naris",
   "narks",
   "narky",
-  "nasal",
   "nashi",
-  "nasty",
-  "natal",
   "natch",
   "nates",
   "natty",
   "naunt",
-  "naval",
   "navar",
-  "navel",
   "naves",
   "navew",
   "navvy",
@@ -6747,7 +7778,6 @@ export const SOLUTIONS_LIST = [
   "necks",
   "neddy",
   "needs",
-  "needy",
   "neeld",
   "neele",
   "neemb",
@@ -6758,7 +7788,6 @@ export const SOLUTIONS_LIST = [
   "negro",
   "negus",
   "neifs",
-  "neigh",
   "neist",
   "nelly",
   "nenes",
@@ -6767,13 +7796,11 @@ export const SOLUTIONS_LIST = [
   "nepit",
   "neral",
   "nerds",
-  "nerdy",
   "nerka",
   "nerks",
   "nerol",
   "nerts",
   "nertz",
-  "nerve",
   "nervy",
   "nests",
   "netop",
@@ -6782,15 +7809,12 @@ export const SOLUTIONS_LIST = [
   "neuks",
   "neume",
   "neums",
-  "never",
   "neves",
   "nevus",
   "newbs",
   "newed",
   "newel",
-  "newer",
   "newie",
-  "newly",
   "newsy",
   "newts",
   "nexus",
@@ -6799,14 +7823,11 @@ export const SOLUTIONS_LIST = [
   "ngoma",
   "ngwee",
   "nicad",
-  "nicer",
-  "niche",
   "nicks",
   "nidal",
   "nides",
   "nidor",
   "nidus",
-  "niece",
   "niefs",
   "nieve",
   "niffs",
@@ -6814,7 +7835,6 @@ export const SOLUTIONS_LIST = [
   "nifty",
   "niger",
   "nighs",
-  "night",
   "nihil",
   "nikab",
   "nikah",
@@ -6825,10 +7845,7 @@ export const SOLUTIONS_LIST = [
   "nimps",
   "niner",
   "nines",
-  "ninja",
-  "ninny",
   "ninon",
-  "ninth",
   "nipas",
   "nippy",
   "niqab",
@@ -6851,8 +7868,6 @@ export const SOLUTIONS_LIST = [
   "nizam",
   "nkosi",
   "nobby",
-  "noble",
-  "nobly",
   "nocks",
   "nodal",
   "noddy",
@@ -6864,11 +7879,8 @@ export const SOLUTIONS_LIST = [
   "noily",
   "noint",
   "noirs",
-  "noise",
-  "noisy",
   "noles",
   "nolls",
-  "nomad",
   "nomen",
   "nomes",
   "nomic",
@@ -6886,20 +7898,16 @@ export const SOLUTIONS_LIST = [
   "nooks",
   "nooky",
   "noons",
-  "noose",
   "nopal",
   "noria",
   "noris",
   "norks",
   "norma",
   "norms",
-  "north",
   "nosed",
   "noser",
   "noses",
-  "nosey",
   "notal",
-  "notch",
   "noted",
   "noter",
   "notes",
@@ -6909,7 +7917,6 @@ export const SOLUTIONS_LIST = [
   "nouny",
   "novae",
   "novas",
-  "novel",
   "novum",
   "noway",
   "nowed",
@@ -6923,7 +7930,6 @@ export const SOLUTIONS_LIST = [
   "nuddy",
   "nuder",
   "nudes",
-  "nudge",
   "nudie",
   "nudzh",
   "nuked",
@@ -6938,17 +7944,12 @@ export const SOLUTIONS_LIST = [
   "nurdy",
   "nurls",
   "nurrs",
-  "nurse",
   "nutso",
   "nutsy",
-  "nutty",
   "nyaff",
   "nyala",
-  "nylon",
-  "nymph",
   "nyssa",
   "oaked",
-  "oaken",
   "oaker",
   "oakum",
   "oared",
@@ -6962,7 +7963,6 @@ export const SOLUTIONS_LIST = [
   "obang",
   "obeah",
   "obeli",
-  "obese",
   "obeys",
   "obits",
   "objet",
@@ -6970,8 +7970,6 @@ export const SOLUTIONS_LIST = [
   "obole",
   "oboli",
   "obols",
-  "occur",
-  "ocean",
   "ocher",
   "oches",
   "ochre",
@@ -6979,16 +7977,12 @@ export const SOLUTIONS_LIST = [
   "ocker",
   "ocrea",
   "octad",
-  "octal",
   "octan",
   "octas",
-  "octet",
   "octyl",
   "oculi",
   "odahs",
   "odals",
-  "odder",
-  "oddly",
   "odeon",
   "odeum",
   "odism",
@@ -6998,12 +7992,9 @@ export const SOLUTIONS_LIST = [
   "odour",
   "odyle",
   "ofays",
-  "offal",
   "offed",
-  "offer",
   "offie",
   "oflag",
-  "often",
   "ofter",
   "ogams",
   "ogeed",
@@ -7029,8 +8020,6 @@ export const SOLUTIONS_LIST = [
   "okehs",
   "okras",
   "oktas",
-  "olden",
-  "older",
   "oldie",
   "oleic",
   "olein",
@@ -7038,7 +8027,6 @@ export const SOLUTIONS_LIST = [
   "oleos",
   "oleum",
   "olios",
-  "olive",
   "ollas",
   "ollav",
   "ollie",
@@ -7047,9 +8035,7 @@ export const SOLUTIONS_LIST = [
   "olpes",
   "omasa",
   "omber",
-  "ombre",
   "ombus",
-  "omega",
   "omens",
   "omers",
   "omits",
@@ -7061,12 +8047,10 @@ export const SOLUTIONS_LIST = [
   "onely",
   "oners",
   "onery",
-  "onion",
   "onium",
   "onkus",
   "onlay",
   "onned",
-  "onset",
   "ontic",
   "oobit",
   "oohed",
@@ -7082,15 +8066,11 @@ export const SOLUTIONS_LIST = [
   "opals",
   "opens",
   "opepe",
-  "opera",
-  "opine",
   "oping",
-  "opium",
   "oppos",
   "opsin",
   "opted",
   "opter",
-  "optic",
   "orach",
   "oracy",
   "orals",
@@ -7098,14 +8078,11 @@ export const SOLUTIONS_LIST = [
   "orant",
   "orate",
   "orbed",
-  "orbit",
   "orcas",
   "orcin",
-  "order",
   "ordos",
   "oread",
   "orfes",
-  "organ",
   "orgia",
   "orgic",
   "orgue",
@@ -7129,15 +8106,11 @@ export const SOLUTIONS_LIST = [
   "ostia",
   "otaku",
   "otary",
-  "other",
   "ottar",
-  "otter",
   "ottos",
   "ouens",
-  "ought",
   "ouija",
   "oumas",
-  "ounce",
   "oundy",
   "oupas",
   "ouphe",
@@ -7146,42 +8119,31 @@ export const SOLUTIONS_LIST = [
   "ousel",
   "ousts",
   "outby",
-  "outdo",
   "outed",
-  "outer",
-  "outgo",
   "outre",
   "outro",
   "outta",
   "ouzel",
   "ouzos",
   "ovals",
-  "ovary",
-  "ovate",
   "ovels",
   "ovens",
   "overs",
-  "overt",
-  "ovine",
   "ovist",
-  "ovoid",
   "ovoli",
   "ovolo",
   "ovule",
   "owche",
   "owies",
-  "owing",
   "owled",
   "owler",
   "owlet",
   "owned",
-  "owner",
   "owres",
   "owsen",
   "oxbow",
   "oxers",
   "oxeye",
-  "oxide",
   "oxids",
   "oxies",
   "oxime",
@@ -7189,7 +8151,6 @@ export const SOLUTIONS_LIST = [
   "oxlip",
   "oxter",
   "ozeki",
-  "ozone",
   "ozzie",
   "paans",
   "pacas",
@@ -7201,7 +8162,6 @@ export const SOLUTIONS_LIST = [
   "packs",
   "pacos",
   "pacts",
-  "paddy",
   "padis",
   "padle",
   "padma",
@@ -7210,7 +8170,6 @@ export const SOLUTIONS_LIST = [
   "paean",
   "paedo",
   "paeon",
-  "pagan",
   "paged",
   "pager",
   "pages",
@@ -7218,7 +8177,6 @@ export const SOLUTIONS_LIST = [
   "pagri",
   "pails",
   "pains",
-  "paint",
   "paire",
   "pairs",
   "paisa",
@@ -7228,7 +8186,6 @@ export const SOLUTIONS_LIST = [
   "palay",
   "palea",
   "paled",
-  "paler",
   "pales",
   "palet",
   "palki",
@@ -7240,32 +8197,26 @@ export const SOLUTIONS_LIST = [
   "palpi",
   "palps",
   "palsa",
-  "palsy",
   "pampa",
   "panax",
   "pance",
   "panda",
   "pandy",
   "paned",
-  "panel",
   "panes",
   "panga",
   "pangs",
-  "panic",
   "panim",
   "panko",
   "panne",
   "panni",
-  "pansy",
   "panto",
   "pants",
   "panty",
   "paoli",
   "paolo",
-  "papal",
   "papas",
   "papaw",
-  "paper",
   "papes",
   "pappi",
   "pappy",
@@ -7278,13 +8229,11 @@ export const SOLUTIONS_LIST = [
   "pared",
   "paren",
   "pareo",
-  "parer",
   "pares",
   "pareu",
   "parev",
   "parge",
   "pargo",
-  "parka",
   "parki",
   "parks",
   "parky",
@@ -7294,11 +8243,8 @@ export const SOLUTIONS_LIST = [
   "parol",
   "parps",
   "parrs",
-  "parry",
-  "parse",
   "parti",
   "parts",
-  "party",
   "parve",
   "parvo",
   "paseo",
@@ -7308,27 +8254,19 @@ export const SOLUTIONS_LIST = [
   "paska",
   "paspy",
   "passe",
-  "pasta",
-  "paste",
   "pasts",
-  "pasty",
-  "patch",
   "pated",
   "paten",
   "pater",
   "pates",
   "paths",
   "patin",
-  "patio",
   "patka",
   "patly",
-  "patsy",
   "patte",
-  "patty",
   "patus",
   "pauas",
   "pauls",
-  "pause",
   "pavan",
   "paved",
   "paven",
@@ -7347,18 +8285,13 @@ export const SOLUTIONS_LIST = [
   "pawns",
   "paxes",
   "payed",
-  "payee",
-  "payer",
   "payor",
-  "peace",
-  "peach",
   "peage",
   "peaks",
   "peaky",
   "peals",
   "peans",
   "peare",
-  "pearl",
   "pears",
   "peart",
   "pease",
@@ -7366,12 +8299,10 @@ export const SOLUTIONS_LIST = [
   "peaty",
   "peavy",
   "pebas",
-  "pecan",
   "pechs",
   "pecke",
   "pecks",
   "pecky",
-  "pedal",
   "pedes",
   "pedis",
   "peece",
@@ -7396,8 +8327,6 @@ export const SOLUTIONS_LIST = [
   "pelma",
   "pelta",
   "pelts",
-  "penal",
-  "pence",
   "pends",
   "pened",
   "penes",
@@ -7406,9 +8335,7 @@ export const SOLUTIONS_LIST = [
   "penis",
   "penks",
   "penna",
-  "penne",
   "penni",
-  "penny",
   "pents",
   "peons",
   "peony",
@@ -7418,15 +8345,12 @@ export const SOLUTIONS_LIST = [
   "pepsi",
   "perai",
   "perce",
-  "perch",
   "percs",
   "perdu",
   "perdy",
   "perea",
-  "peril",
   "peris",
   "perks",
-  "perky",
   "perms",
   "perns",
   "perog",
@@ -7439,12 +8363,9 @@ export const SOLUTIONS_LIST = [
   "pervo",
   "pervs",
   "pervy",
-  "pesky",
   "pesos",
-  "pesto",
   "pests",
   "pesty",
-  "petal",
   "petar",
   "peter",
   "petit",
@@ -7452,14 +8373,12 @@ export const SOLUTIONS_LIST = [
   "petri",
   "petti",
   "petto",
-  "petty",
   "pewee",
   "pewit",
   "phage",
   "phang",
   "phare",
   "pharm",
-  "phase",
   "pheer",
   "phene",
   "pheon",
@@ -7468,34 +8387,26 @@ export const SOLUTIONS_LIST = [
   "phizz",
   "phlox",
   "phoca",
-  "phone",
   "phono",
   "phons",
-  "phony",
-  "photo",
   "phots",
   "phpht",
   "phuts",
   "phyla",
   "phyle",
-  "piano",
   "pibal",
   "pical",
   "picas",
   "piccy",
   "picks",
-  "picky",
   "picot",
   "picra",
   "picul",
-  "piece",
   "piend",
   "piers",
   "pieta",
   "piets",
-  "piety",
   "piezo",
-  "piggy",
   "pight",
   "pigmy",
   "piing",
@@ -7520,27 +8431,22 @@ export const SOLUTIONS_LIST = [
   "piles",
   "pilis",
   "pills",
-  "pilot",
   "pilow",
   "pilum",
   "pilus",
   "pimps",
   "pinas",
-  "pinch",
   "pined",
   "pines",
-  "piney",
   "pingo",
   "pings",
   "pinko",
   "pinks",
-  "pinky",
   "pinna",
   "pinny",
   "pinon",
   "pinot",
   "pinta",
-  "pinto",
   "pints",
   "pinup",
   "pions",
@@ -7549,14 +8455,12 @@ export const SOLUTIONS_LIST = [
   "pipal",
   "pipas",
   "piped",
-  "piper",
   "pipes",
   "pipet",
   "pipis",
   "pipit",
   "pippy",
   "pipul",
-  "pique",
   "pirai",
   "pirls",
   "pirns",
@@ -7567,51 +8471,32 @@ export const SOLUTIONS_LIST = [
   "pissy",
   "piste",
   "pitas",
-  "pitch",
   "piths",
-  "pithy",
   "piton",
   "pitot",
   "pitta",
-  "pivot",
-  "pixel",
   "pixes",
-  "pixie",
   "pized",
   "pizes",
-  "pizza",
   "plaas",
-  "place",
   "plack",
   "plage",
-  "plaid",
-  "plain",
-  "plait",
-  "plane",
-  "plank",
   "plans",
-  "plant",
   "plaps",
   "plash",
   "plasm",
-  "plate",
   "plats",
   "platt",
   "platy",
   "playa",
   "plays",
-  "plaza",
-  "plead",
   "pleas",
-  "pleat",
   "plebe",
   "plebs",
   "plena",
   "pleon",
   "plews",
   "plica",
-  "plied",
-  "plier",
   "plies",
   "plims",
   "pling",
@@ -7625,18 +8510,12 @@ export const SOLUTIONS_LIST = [
   "plows",
   "ploye",
   "ploys",
-  "pluck",
   "plues",
   "pluff",
   "plugs",
-  "plumb",
-  "plume",
-  "plump",
   "plums",
   "plumy",
-  "plunk",
   "pluot",
-  "plush",
   "pluto",
   "plyer",
   "poach",
@@ -7653,22 +8532,17 @@ export const SOLUTIONS_LIST = [
   "podia",
   "poems",
   "poeps",
-  "poesy",
   "poets",
   "pogey",
   "pogge",
   "pogos",
   "poilu",
   "poind",
-  "point",
-  "poise",
   "pokal",
   "poked",
-  "poker",
   "pokes",
   "pokey",
   "pokie",
-  "polar",
   "poled",
   "poler",
   "poles",
@@ -7676,13 +8550,11 @@ export const SOLUTIONS_LIST = [
   "polio",
   "polis",
   "polje",
-  "polka",
   "polks",
   "polls",
   "polly",
   "polos",
   "polts",
-  "polyp",
   "polys",
   "pombe",
   "pomes",
@@ -7700,7 +8572,6 @@ export const SOLUTIONS_LIST = [
   "ponks",
   "ponty",
   "ponzu",
-  "pooch",
   "poods",
   "pooed",
   "poofs",
@@ -7719,11 +8590,9 @@ export const SOLUTIONS_LIST = [
   "poovy",
   "popes",
   "poppa",
-  "poppy",
   "popsy",
   "porae",
   "poral",
-  "porch",
   "pored",
   "porer",
   "pores",
@@ -7738,12 +8607,9 @@ export const SOLUTIONS_LIST = [
   "ports",
   "porty",
   "posed",
-  "poser",
   "poses",
   "posey",
   "posho",
-  "posit",
-  "posse",
   "posts",
   "potch",
   "poted",
@@ -7754,19 +8620,15 @@ export const SOLUTIONS_LIST = [
   "potto",
   "potts",
   "potty",
-  "pouch",
   "pouff",
   "poufs",
   "pouks",
   "poule",
   "poulp",
   "poult",
-  "pound",
   "pours",
   "pouts",
-  "pouty",
   "powan",
-  "power",
   "pownd",
   "powre",
   "poxed",
@@ -7781,7 +8643,6 @@ export const SOLUTIONS_LIST = [
   "prams",
   "prana",
   "prang",
-  "prank",
   "praos",
   "prase",
   "prate",
@@ -7789,11 +8650,9 @@ export const SOLUTIONS_LIST = [
   "pratt",
   "praty",
   "praus",
-  "prawn",
   "prays",
   "predy",
   "preed",
-  "preen",
   "prees",
   "prems",
   "premy",
@@ -7801,39 +8660,26 @@ export const SOLUTIONS_LIST = [
   "preop",
   "preps",
   "presa",
-  "press",
   "prest",
   "preve",
   "prexy",
   "preys",
   "prial",
-  "price",
-  "prick",
   "pricy",
-  "pride",
-  "pried",
   "prief",
   "prier",
   "pries",
   "prigs",
   "prill",
   "prima",
-  "prime",
-  "primo",
   "primp",
   "prims",
   "primy",
   "prink",
-  "print",
   "prion",
-  "prior",
   "prise",
-  "prism",
   "priss",
-  "privy",
-  "prize",
   "proas",
-  "probe",
   "probs",
   "prods",
   "proem",
@@ -7845,30 +8691,19 @@ export const SOLUTIONS_LIST = [
   "proll",
   "promo",
   "proms",
-  "prone",
-  "prong",
   "pronk",
-  "proof",
   "props",
   "prore",
-  "prose",
   "proso",
   "pross",
   "prosy",
   "proto",
-  "proud",
   "proul",
-  "prove",
-  "prowl",
   "prows",
-  "proxy",
-  "prude",
-  "prune",
   "prunt",
   "pruta",
   "pryer",
   "pryse",
-  "psalm",
   "pseud",
   "pshaw",
   "psion",
@@ -7880,7 +8715,6 @@ export const SOLUTIONS_LIST = [
   "psyop",
   "pubco",
   "pubes",
-  "pubic",
   "pubis",
   "pucer",
   "puces",
@@ -7888,7 +8722,6 @@ export const SOLUTIONS_LIST = [
   "pucks",
   "puddy",
   "pudge",
-  "pudgy",
   "pudic",
   "pudor",
   "pudsy",
@@ -7896,7 +8729,6 @@ export const SOLUTIONS_LIST = [
   "puers",
   "puffa",
   "puffs",
-  "puffy",
   "puggy",
   "pugil",
   "pujah",
@@ -7921,13 +8753,10 @@ export const SOLUTIONS_LIST = [
   "pulls",
   "pully",
   "pulps",
-  "pulpy",
-  "pulse",
   "pumas",
   "pumps",
   "punas",
   "punce",
-  "punch",
   "punga",
   "pungs",
   "punji",
@@ -7939,33 +8768,23 @@ export const SOLUTIONS_LIST = [
   "punts",
   "punty",
   "pupae",
-  "pupal",
   "pupas",
-  "pupil",
-  "puppy",
   "purda",
-  "puree",
-  "purer",
   "pures",
-  "purge",
   "puris",
   "purls",
   "purrs",
-  "purse",
   "pursy",
   "purty",
-  "pushy",
   "pusle",
   "pussy",
   "putid",
   "putti",
   "putto",
   "putts",
-  "putty",
   "pwned",
   "pyets",
   "pygal",
-  "pygmy",
   "pylon",
   "pyned",
   "pynes",
@@ -7989,21 +8808,13 @@ export const SOLUTIONS_LIST = [
   "qibla",
   "qophs",
   "qorma",
-  "quack",
   "quads",
   "quaff",
   "quags",
-  "quail",
-  "quake",
   "quaky",
   "quale",
-  "qualm",
   "quant",
   "quare",
-  "quark",
-  "quart",
-  "quash",
-  "quasi",
   "quass",
   "quate",
   "quats",
@@ -8011,24 +8822,14 @@ export const SOLUTIONS_LIST = [
   "quays",
   "qubit",
   "quean",
-  "queen",
-  "queer",
-  "quell",
   "queme",
   "quena",
   "quern",
-  "query",
-  "quest",
-  "queue",
   "queyn",
   "queys",
   "quich",
-  "quick",
   "quids",
-  "quiet",
   "quiff",
-  "quill",
-  "quilt",
   "quims",
   "quina",
   "quine",
@@ -8039,10 +8840,8 @@ export const SOLUTIONS_LIST = [
   "quips",
   "quipu",
   "quire",
-  "quirk",
   "quirt",
   "quist",
-  "quite",
   "quits",
   "quoad",
   "quods",
@@ -8052,25 +8851,16 @@ export const SOLUTIONS_LIST = [
   "quoll",
   "quonk",
   "quops",
-  "quota",
-  "quote",
-  "quoth",
   "qursh",
   "rabat",
-  "rabbi",
   "rabic",
-  "rabid",
   "rabis",
   "raced",
-  "racer",
   "races",
   "rache",
   "racks",
   "racon",
-  "radar",
   "radge",
-  "radii",
-  "radio",
   "radix",
   "radon",
   "raffs",
@@ -8091,11 +8881,8 @@ export const SOLUTIONS_LIST = [
   "rails",
   "raine",
   "rains",
-  "rainy",
   "raird",
-  "raise",
   "raita",
-  "rajah",
   "rajas",
   "raked",
   "rakee",
@@ -8104,23 +8891,17 @@ export const SOLUTIONS_LIST = [
   "rakia",
   "rakis",
   "rales",
-  "rally",
-  "ralph",
   "ramal",
   "ramee",
-  "ramen",
   "ramet",
   "ramie",
   "rammy",
   "ramps",
   "ramus",
   "rance",
-  "ranch",
   "rands",
-  "randy",
   "ranee",
   "ranga",
-  "range",
   "rangs",
   "rangy",
   "ranid",
@@ -8132,16 +8913,13 @@ export const SOLUTIONS_LIST = [
   "raper",
   "rapes",
   "raphe",
-  "rapid",
   "rared",
   "raree",
-  "rarer",
   "rares",
   "rased",
   "raser",
   "rases",
   "rasps",
-  "raspy",
   "rasse",
   "rasta",
   "ratal",
@@ -8154,14 +8932,11 @@ export const SOLUTIONS_LIST = [
   "rates",
   "rathe",
   "raths",
-  "ratio",
   "ratos",
-  "ratty",
   "ratus",
   "raupo",
   "raved",
   "ravel",
-  "raven",
   "raver",
   "raves",
   "ravey",
@@ -8175,45 +8950,33 @@ export const SOLUTIONS_LIST = [
   "rayed",
   "rayle",
   "rayne",
-  "rayon",
   "razed",
   "razee",
   "razer",
   "razes",
   "razoo",
-  "razor",
-  "reach",
-  "react",
   "readd",
   "reads",
-  "ready",
   "reais",
   "reaks",
-  "realm",
   "reals",
   "reame",
   "reams",
   "reamy",
   "reans",
   "reaps",
-  "rearm",
   "rears",
   "reast",
   "reata",
   "reate",
   "reave",
-  "rebar",
   "rebbe",
   "rebec",
-  "rebel",
   "rebid",
   "rebit",
   "rebop",
-  "rebus",
-  "rebut",
   "rebuy",
   "recal",
-  "recap",
   "recce",
   "recco",
   "reccy",
@@ -8223,8 +8986,6 @@ export const SOLUTIONS_LIST = [
   "recta",
   "recti",
   "recto",
-  "recur",
-  "recut",
   "redan",
   "redds",
   "reddy",
@@ -8243,7 +9004,6 @@ export const SOLUTIONS_LIST = [
   "reech",
   "reede",
   "reeds",
-  "reedy",
   "reefs",
   "reefy",
   "reeks",
@@ -8254,13 +9014,10 @@ export const SOLUTIONS_LIST = [
   "reeve",
   "refed",
   "refel",
-  "refer",
   "reffo",
-  "refit",
   "refix",
   "refly",
   "refry",
-  "regal",
   "reges",
   "reggo",
   "regie",
@@ -8268,11 +9025,9 @@ export const SOLUTIONS_LIST = [
   "regna",
   "regos",
   "regur",
-  "rehab",
   "rehem",
   "reifs",
   "reify",
-  "reign",
   "reiki",
   "reink",
   "reins",
@@ -8282,22 +9037,16 @@ export const SOLUTIONS_LIST = [
   "rejig",
   "rejon",
   "rekey",
-  "relax",
-  "relay",
   "relet",
-  "relic",
   "relit",
   "rello",
   "reman",
   "remap",
   "remet",
   "remex",
-  "remit",
   "remix",
-  "renal",
   "renay",
   "rends",
-  "renew",
   "reney",
   "renga",
   "renig",
@@ -8307,28 +9056,22 @@ export const SOLUTIONS_LIST = [
   "rents",
   "reoil",
   "reorg",
-  "repay",
   "repeg",
-  "repel",
   "repin",
   "repla",
-  "reply",
   "repos",
   "repot",
   "repps",
   "repro",
   "reran",
   "rerig",
-  "rerun",
   "resat",
   "resaw",
   "resay",
   "resee",
   "reses",
-  "reset",
   "resew",
   "resid",
-  "resin",
   "resit",
   "resod",
   "resow",
@@ -8338,18 +9081,12 @@ export const SOLUTIONS_LIST = [
   "resus",
   "retag",
   "retax",
-  "retch",
   "retem",
   "retia",
   "retie",
   "retox",
-  "retro",
-  "retry",
-  "reuse",
-  "revel",
   "revet",
   "revie",
-  "revue",
   "rewax",
   "rewed",
   "rewet",
@@ -8362,12 +9099,10 @@ export const SOLUTIONS_LIST = [
   "rheum",
   "rhime",
   "rhine",
-  "rhino",
   "rhody",
   "rhomb",
   "rhone",
   "rhumb",
-  "rhyme",
   "rhyne",
   "rhyta",
   "riads",
@@ -8381,9 +9116,7 @@ export const SOLUTIONS_LIST = [
   "ricey",
   "ricin",
   "ricks",
-  "rider",
   "rides",
-  "ridge",
   "ridgy",
   "ridic",
   "riels",
@@ -8391,14 +9124,10 @@ export const SOLUTIONS_LIST = [
   "rieve",
   "rifer",
   "riffs",
-  "rifle",
   "rifts",
   "rifty",
   "riggs",
-  "right",
-  "rigid",
   "rigol",
-  "rigor",
   "riled",
   "riles",
   "riley",
@@ -8414,50 +9143,33 @@ export const SOLUTIONS_LIST = [
   "rines",
   "rings",
   "rinks",
-  "rinse",
   "rioja",
   "riots",
   "riped",
-  "ripen",
-  "riper",
   "ripes",
-  "risen",
-  "riser",
   "rises",
   "rishi",
   "risks",
-  "risky",
   "risps",
   "rites",
   "ritts",
   "ritzy",
-  "rival",
   "rived",
   "rivel",
   "riven",
-  "river",
   "rives",
-  "rivet",
   "riyal",
-  "roach",
   "roads",
   "roams",
   "roans",
   "roars",
   "roary",
-  "roast",
   "robed",
   "robes",
-  "robin",
   "roble",
-  "robot",
   "rocks",
-  "rocky",
   "roded",
-  "rodeo",
   "rodes",
-  "roger",
-  "rogue",
   "roguy",
   "rohes",
   "roids",
@@ -8488,11 +9200,9 @@ export const SOLUTIONS_LIST = [
   "rooks",
   "rooky",
   "rooms",
-  "roomy",
   "roops",
   "roopy",
   "roose",
-  "roost",
   "roots",
   "rooty",
   "roped",
@@ -8521,34 +9231,24 @@ export const SOLUTIONS_LIST = [
   "rotis",
   "rotls",
   "roton",
-  "rotor",
   "rotos",
   "roues",
-  "rouge",
-  "rough",
   "roule",
-  "round",
   "roups",
   "roupy",
-  "rouse",
   "roust",
-  "route",
   "routh",
   "routs",
   "roved",
-  "rover",
   "roves",
   "rowan",
-  "rowdy",
   "rowed",
   "rowel",
   "rowen",
-  "rower",
   "rowie",
   "rowme",
   "rownd",
   "rowts",
-  "royal",
   "royst",
   "ruana",
   "rubai",
@@ -8562,29 +9262,23 @@ export const SOLUTIONS_LIST = [
   "rucks",
   "rudas",
   "rudds",
-  "ruddy",
-  "ruder",
   "rudie",
   "rueda",
   "ruffe",
   "ruffs",
   "rugae",
   "rugal",
-  "rugby",
   "ruggy",
   "ruing",
   "ruins",
   "rukhs",
   "ruled",
-  "ruler",
   "rules",
   "rumal",
-  "rumba",
   "rumbo",
   "rumen",
   "rumly",
   "rummy",
-  "rumor",
   "rumpo",
   "rumps",
   "rumpy",
@@ -8596,16 +9290,13 @@ export const SOLUTIONS_LIST = [
   "runny",
   "runts",
   "runty",
-  "rupee",
   "rupia",
-  "rural",
   "rurus",
   "ruses",
   "rushy",
   "rusks",
   "rusma",
   "rusts",
-  "rusty",
   "ruths",
   "rutin",
   "rutty",
@@ -8630,10 +9321,8 @@ export const SOLUTIONS_LIST = [
   "sadhe",
   "sadhu",
   "sadis",
-  "sadly",
   "sadza",
   "safed",
-  "safer",
   "safes",
   "sagas",
   "sager",
@@ -8649,7 +9338,6 @@ export const SOLUTIONS_LIST = [
   "saiga",
   "sails",
   "sains",
-  "saint",
   "saist",
   "saith",
   "sajou",
@@ -8657,7 +9345,6 @@ export const SOLUTIONS_LIST = [
   "sakes",
   "sakia",
   "sakis",
-  "salad",
   "salal",
   "salat",
   "salep",
@@ -8665,21 +9352,15 @@ export const SOLUTIONS_LIST = [
   "salet",
   "salix",
   "salle",
-  "sally",
   "salmi",
   "salol",
-  "salon",
   "salop",
   "salpa",
   "salps",
-  "salsa",
   "salse",
   "salto",
   "salts",
-  "salty",
   "salue",
-  "salve",
-  "salvo",
   "saman",
   "samba",
   "sambo",
@@ -8691,8 +9372,6 @@ export const SOLUTIONS_LIST = [
   "sampi",
   "samps",
   "sands",
-  "sandy",
-  "saner",
   "sanga",
   "sangh",
   "sango",
@@ -8702,7 +9381,6 @@ export const SOLUTIONS_LIST = [
   "sapan",
   "sapid",
   "sapor",
-  "sappy",
   "saran",
   "sards",
   "saree",
@@ -8716,31 +9394,21 @@ export const SOLUTIONS_LIST = [
   "saros",
   "sasin",
   "sasse",
-  "sassy",
   "satai",
   "satay",
   "sated",
   "satem",
   "sates",
-  "satin",
   "satis",
-  "satyr",
   "sauba",
-  "sauce",
-  "saucy",
   "saugh",
   "sauls",
   "sault",
-  "sauna",
   "saury",
-  "saute",
   "saved",
   "saver",
   "saves",
   "savin",
-  "savor",
-  "savoy",
-  "savvy",
   "sawah",
   "sawed",
   "sawer",
@@ -8754,23 +9422,14 @@ export const SOLUTIONS_LIST = [
   "scads",
   "scags",
   "scala",
-  "scald",
-  "scale",
   "scall",
-  "scalp",
-  "scaly",
-  "scamp",
   "scams",
   "scans",
-  "scant",
   "scape",
   "scapi",
-  "scare",
-  "scarf",
   "scarp",
   "scars",
   "scart",
-  "scary",
   "scath",
   "scats",
   "scatt",
@@ -8780,49 +9439,29 @@ export const SOLUTIONS_LIST = [
   "sceat",
   "scena",
   "scend",
-  "scene",
-  "scent",
   "schav",
   "schmo",
   "schul",
   "schwa",
-  "scion",
-  "scoff",
-  "scold",
-  "scone",
   "scoog",
-  "scoop",
   "scoot",
   "scopa",
-  "scope",
   "scops",
-  "score",
-  "scorn",
   "scots",
   "scoug",
-  "scour",
-  "scout",
-  "scowl",
   "scows",
   "scrab",
   "scrag",
-  "scram",
   "scran",
-  "scrap",
   "scrat",
   "scraw",
   "scray",
-  "scree",
-  "screw",
   "scrim",
   "scrip",
   "scrob",
   "scrod",
   "scrog",
   "scrow",
-  "scrub",
-  "scrum",
-  "scuba",
   "scudi",
   "scudo",
   "scuds",
@@ -8855,14 +9494,12 @@ export const SOLUTIONS_LIST = [
   "secco",
   "sechs",
   "sects",
-  "sedan",
   "seder",
   "sedes",
   "sedge",
   "sedgy",
   "sedum",
   "seeds",
-  "seedy",
   "seeks",
   "seels",
   "seely",
@@ -8876,7 +9513,6 @@ export const SOLUTIONS_LIST = [
   "segno",
   "segol",
   "segos",
-  "segue",
   "sehri",
   "seifs",
   "seine",
@@ -8884,7 +9520,6 @@ export const SOLUTIONS_LIST = [
   "seism",
   "seity",
   "seiza",
-  "seize",
   "sekos",
   "selah",
   "seles",
@@ -8894,7 +9529,6 @@ export const SOLUTIONS_LIST = [
   "sells",
   "selva",
   "semee",
-  "semen",
   "semes",
   "semis",
   "sends",
@@ -8902,14 +9536,12 @@ export const SOLUTIONS_LIST = [
   "sengi",
   "senna",
   "senor",
-  "sense",
   "sensi",
   "sente",
   "senti",
   "sents",
   "senvy",
   "sepal",
-  "sepia",
   "sepic",
   "sepoy",
   "septa",
@@ -8922,65 +9554,40 @@ export const SOLUTIONS_LIST = [
   "serfs",
   "serge",
   "seric",
-  "serif",
   "serin",
   "seron",
   "serow",
   "serra",
   "serry",
-  "serum",
-  "serve",
   "servo",
   "setae",
   "setal",
   "seton",
   "setts",
-  "setup",
-  "seven",
-  "sever",
   "sewan",
   "sewar",
   "sewed",
   "sewel",
   "sewen",
-  "sewer",
   "sewin",
   "sexed",
   "sexer",
   "sexes",
   "sexto",
   "sexts",
-  "shack",
-  "shade",
   "shads",
-  "shady",
-  "shaft",
   "shags",
   "shahs",
-  "shake",
   "shako",
   "shakt",
-  "shaky",
-  "shale",
-  "shall",
   "shalm",
-  "shalt",
   "shaly",
   "shama",
-  "shame",
   "shams",
   "shand",
-  "shank",
-  "shape",
   "shaps",
-  "shard",
-  "share",
-  "shark",
   "sharn",
-  "sharp",
   "shash",
-  "shave",
-  "shawl",
   "shawm",
   "shaws",
   "shaya",
@@ -8988,16 +9595,8 @@ export const SOLUTIONS_LIST = [
   "shchi",
   "sheaf",
   "sheal",
-  "shear",
   "sheas",
   "sheds",
-  "sheen",
-  "sheep",
-  "sheer",
-  "sheet",
-  "sheik",
-  "shelf",
-  "shell",
   "shend",
   "shent",
   "sheol",
@@ -9008,23 +9607,16 @@ export const SOLUTIONS_LIST = [
   "shewn",
   "shews",
   "shiai",
-  "shied",
   "shiel",
   "shier",
   "shies",
-  "shift",
   "shill",
   "shily",
   "shims",
-  "shine",
   "shins",
-  "shiny",
   "ships",
-  "shire",
-  "shirk",
   "shirr",
   "shirs",
-  "shirt",
   "shish",
   "shiso",
   "shist",
@@ -9038,9 +9630,7 @@ export const SOLUTIONS_LIST = [
   "shlub",
   "shmek",
   "shmoe",
-  "shoal",
   "shoat",
-  "shock",
   "shoed",
   "shoer",
   "shoes",
@@ -9049,48 +9639,31 @@ export const SOLUTIONS_LIST = [
   "shoji",
   "shojo",
   "shola",
-  "shone",
-  "shook",
   "shool",
   "shoon",
   "shoos",
-  "shoot",
   "shope",
   "shops",
-  "shore",
   "shorl",
-  "shorn",
-  "short",
   "shote",
   "shots",
   "shott",
-  "shout",
-  "shove",
-  "shown",
   "shows",
-  "showy",
   "shoyu",
   "shred",
-  "shrew",
   "shrow",
-  "shrub",
-  "shrug",
   "shtik",
   "shtum",
   "shtup",
-  "shuck",
   "shule",
   "shuln",
   "shuls",
   "shuns",
-  "shunt",
   "shura",
-  "shush",
   "shute",
   "shuts",
   "shwas",
   "shyer",
-  "shyly",
   "sibyl",
   "sices",
   "sicht",
@@ -9104,16 +9677,12 @@ export const SOLUTIONS_LIST = [
   "sidha",
   "sidhe",
   "sidle",
-  "siege",
   "siens",
   "sient",
-  "sieve",
   "sifts",
   "sighs",
-  "sight",
   "sigil",
   "sigla",
-  "sigma",
   "signa",
   "signs",
   "sijos",
@@ -9125,9 +9694,7 @@ export const SOLUTIONS_LIST = [
   "siles",
   "silex",
   "silks",
-  "silky",
   "sills",
-  "silly",
   "silos",
   "silts",
   "silty",
@@ -9137,10 +9704,7 @@ export const SOLUTIONS_LIST = [
   "simis",
   "simps",
   "simul",
-  "since",
   "sines",
-  "sinew",
-  "singe",
   "sings",
   "sinhs",
   "sinks",
@@ -9151,7 +9715,6 @@ export const SOLUTIONS_LIST = [
   "sippy",
   "sired",
   "siree",
-  "siren",
   "sires",
   "sirih",
   "siris",
@@ -9160,7 +9723,6 @@ export const SOLUTIONS_LIST = [
   "sirup",
   "sisal",
   "sises",
-  "sissy",
   "sista",
   "sists",
   "sitar",
@@ -9174,8 +9736,6 @@ export const SOLUTIONS_LIST = [
   "sixes",
   "sixmo",
   "sixte",
-  "sixth",
-  "sixty",
   "sizar",
   "sized",
   "sizel",
@@ -9186,7 +9746,6 @@ export const SOLUTIONS_LIST = [
   "skald",
   "skank",
   "skart",
-  "skate",
   "skats",
   "skatt",
   "skaws",
@@ -9210,13 +9769,9 @@ export const SOLUTIONS_LIST = [
   "skews",
   "skids",
   "skied",
-  "skier",
   "skies",
   "skiey",
-  "skiff",
-  "skill",
   "skimo",
-  "skimp",
   "skims",
   "skink",
   "skins",
@@ -9225,7 +9780,6 @@ export const SOLUTIONS_LIST = [
   "skips",
   "skirl",
   "skirr",
-  "skirt",
   "skite",
   "skits",
   "skive",
@@ -9240,52 +9794,31 @@ export const SOLUTIONS_LIST = [
   "skrik",
   "skuas",
   "skugs",
-  "skulk",
-  "skull",
-  "skunk",
   "skyed",
   "skyey",
   "skyfs",
   "skyte",
   "slabs",
-  "slack",
   "slade",
   "slags",
-  "slain",
   "slake",
   "slams",
   "slane",
-  "slang",
   "slank",
-  "slant",
   "slaps",
   "slart",
-  "slash",
-  "slate",
   "slats",
   "slaty",
-  "slave",
   "slaws",
   "slays",
   "slebs",
   "sleds",
-  "sleek",
-  "sleep",
   "sleer",
-  "sleet",
-  "slept",
   "slews",
   "sleys",
-  "slice",
-  "slick",
-  "slide",
   "slier",
   "slily",
-  "slime",
   "slims",
-  "slimy",
-  "sling",
-  "slink",
   "slipe",
   "slips",
   "slipt",
@@ -9299,13 +9832,9 @@ export const SOLUTIONS_LIST = [
   "slojd",
   "slomo",
   "sloom",
-  "sloop",
   "sloot",
-  "slope",
   "slops",
   "slopy",
-  "slosh",
-  "sloth",
   "slots",
   "slove",
   "slows",
@@ -9316,87 +9845,55 @@ export const SOLUTIONS_LIST = [
   "sluff",
   "slugs",
   "sluit",
-  "slump",
   "slums",
-  "slung",
-  "slunk",
   "slurb",
-  "slurp",
   "slurs",
-  "slush",
   "sluts",
   "slyer",
-  "slyly",
   "slype",
   "smaak",
-  "smack",
-  "small",
   "smalm",
   "smalt",
   "smarm",
-  "smart",
-  "smash",
   "smaze",
-  "smear",
   "smees",
-  "smell",
-  "smelt",
   "smerk",
   "smews",
-  "smile",
-  "smirk",
   "smirr",
-  "smite",
-  "smith",
   "smits",
-  "smock",
   "smogs",
-  "smoke",
   "smoko",
-  "smoky",
   "smolt",
   "smoor",
   "smoot",
   "smore",
-  "smote",
   "smout",
   "smugs",
   "smurs",
   "smush",
   "smuts",
-  "snack",
   "snafu",
   "snags",
-  "snail",
-  "snake",
-  "snaky",
   "snaps",
-  "snare",
   "snarf",
   "snark",
-  "snarl",
   "snars",
   "snary",
   "snash",
   "snath",
   "snead",
-  "sneak",
   "sneap",
   "snebs",
   "sneck",
   "sneds",
   "sneed",
-  "sneer",
   "snees",
   "snell",
   "snibs",
   "snick",
-  "snide",
   "snies",
-  "sniff",
   "snift",
   "snigs",
-  "snipe",
   "snips",
   "snipy",
   "snirt",
@@ -9408,26 +9905,17 @@ export const SOLUTIONS_LIST = [
   "snood",
   "snook",
   "snool",
-  "snoop",
   "snoot",
-  "snore",
-  "snort",
   "snots",
-  "snout",
   "snows",
-  "snowy",
   "snubs",
-  "snuck",
-  "snuff",
   "snugs",
   "snyes",
   "soaks",
   "soaps",
-  "soapy",
   "soare",
   "soars",
   "sobas",
-  "sober",
   "socas",
   "socko",
   "socks",
@@ -9441,7 +9929,6 @@ export const SOLUTIONS_LIST = [
   "softs",
   "softy",
   "soger",
-  "soggy",
   "sohur",
   "soils",
   "soily",
@@ -9451,26 +9938,21 @@ export const SOLUTIONS_LIST = [
   "sokes",
   "solah",
   "solan",
-  "solar",
   "soldi",
   "soldo",
   "soled",
   "solei",
   "soler",
   "soles",
-  "solid",
   "solon",
   "solos",
   "solum",
   "solus",
-  "solve",
   "soman",
   "somas",
-  "sonar",
   "sonde",
   "sones",
   "songs",
-  "sonic",
   "sonly",
   "sonne",
   "sonny",
@@ -9480,9 +9962,7 @@ export const SOLUTIONS_LIST = [
   "sooky",
   "sools",
   "soops",
-  "sooth",
   "soots",
-  "sooty",
   "sophs",
   "sophy",
   "sopor",
@@ -9499,7 +9979,6 @@ export const SOLUTIONS_LIST = [
   "sorgo",
   "sorns",
   "sorra",
-  "sorry",
   "sorta",
   "sorts",
   "sorus",
@@ -9509,16 +9988,13 @@ export const SOLUTIONS_LIST = [
   "souks",
   "souls",
   "soums",
-  "sound",
   "soups",
   "soupy",
   "sours",
   "souse",
-  "south",
   "sowar",
   "sowce",
   "sowed",
-  "sower",
   "sowle",
   "sowls",
   "sowms",
@@ -9528,9 +10004,7 @@ export const SOLUTIONS_LIST = [
   "sowth",
   "soyle",
   "sozin",
-  "space",
   "spacy",
-  "spade",
   "spado",
   "spaed",
   "spaer",
@@ -9544,99 +10018,59 @@ export const SOLUTIONS_LIST = [
   "spams",
   "spane",
   "spang",
-  "spank",
   "spans",
-  "spare",
-  "spark",
   "spars",
-  "spasm",
   "spate",
   "spats",
   "spawl",
-  "spawn",
   "spaws",
   "spays",
   "spaza",
   "spazz",
-  "speak",
   "speal",
   "spean",
-  "spear",
   "speat",
-  "speck",
   "specs",
   "spect",
-  "speed",
   "speel",
   "speer",
   "speld",
   "spelk",
-  "spell",
-  "spelt",
-  "spend",
-  "spent",
   "speos",
-  "sperm",
   "spets",
   "spews",
   "spewy",
   "spial",
   "spica",
-  "spice",
   "spick",
   "spics",
-  "spicy",
   "spide",
-  "spied",
-  "spiel",
   "spier",
   "spies",
   "spiff",
-  "spike",
   "spiks",
-  "spiky",
   "spile",
-  "spill",
-  "spilt",
   "spims",
   "spina",
-  "spine",
   "spink",
   "spins",
-  "spiny",
-  "spire",
   "spirt",
   "spiry",
-  "spite",
   "spits",
   "spitz",
   "spivs",
-  "splat",
   "splay",
-  "split",
   "splog",
   "spods",
-  "spoil",
-  "spoke",
-  "spoof",
-  "spook",
-  "spool",
   "spoom",
-  "spoon",
   "spoor",
-  "spore",
   "spork",
-  "sport",
   "sposh",
   "spots",
-  "spout",
   "sprad",
   "sprag",
   "sprat",
-  "spray",
   "spred",
-  "spree",
-  "sprig",
   "sprit",
   "sprog",
   "sprue",
@@ -9648,70 +10082,36 @@ export const SOLUTIONS_LIST = [
   "spule",
   "spume",
   "spumy",
-  "spunk",
-  "spurn",
   "spurs",
-  "spurt",
   "sputa",
   "spyal",
   "spyre",
   "squab",
-  "squad",
-  "squat",
   "squaw",
   "squeg",
-  "squib",
   "squid",
   "squit",
   "squiz",
   "stabs",
-  "stack",
   "stade",
-  "staff",
-  "stage",
   "stags",
   "stagy",
-  "staid",
-  "stain",
-  "stair",
-  "stake",
-  "stale",
-  "stalk",
-  "stall",
-  "stamp",
-  "stand",
   "stane",
   "stang",
-  "stank",
   "staph",
   "staps",
-  "stare",
-  "stark",
   "starn",
   "starr",
   "stars",
-  "start",
-  "stash",
-  "state",
   "stats",
-  "stave",
   "stays",
-  "stead",
-  "steak",
-  "steal",
-  "steam",
   "stean",
   "stear",
   "stedd",
   "steds",
-  "steed",
   "steek",
-  "steel",
   "steem",
   "steen",
-  "steep",
-  "steer",
-  "stein",
   "stela",
   "stele",
   "stell",
@@ -9724,25 +10124,17 @@ export const SOLUTIONS_LIST = [
   "steps",
   "stept",
   "stere",
-  "stern",
   "stets",
   "stews",
   "stewy",
   "steys",
   "stich",
-  "stick",
   "stied",
   "sties",
-  "stiff",
   "stilb",
   "stile",
-  "still",
-  "stilt",
   "stims",
   "stimy",
-  "sting",
-  "stink",
-  "stint",
   "stipa",
   "stipe",
   "stirk",
@@ -9755,80 +10147,50 @@ export const SOLUTIONS_LIST = [
   "stoas",
   "stoat",
   "stobs",
-  "stock",
   "stoep",
   "stogy",
-  "stoic",
-  "stoke",
-  "stole",
   "stoln",
   "stoma",
-  "stomp",
   "stond",
-  "stone",
   "stong",
   "stonk",
-  "stony",
-  "stood",
   "stook",
-  "stool",
-  "stoop",
   "stoor",
   "stope",
   "stops",
   "stopt",
-  "store",
-  "stork",
-  "storm",
-  "story",
   "stoss",
   "stots",
   "stott",
   "stoup",
   "stour",
-  "stout",
-  "stove",
   "stowp",
   "stows",
-  "strap",
-  "straw",
-  "stray",
   "strep",
   "strew",
   "stria",
   "strig",
   "strim",
-  "strip",
   "strop",
   "strow",
   "stroy",
   "strum",
-  "strut",
   "stubs",
-  "stuck",
   "stude",
   "studs",
-  "study",
-  "stuff",
   "stull",
   "stulm",
-  "stump",
   "stums",
-  "stung",
-  "stunk",
   "stuns",
-  "stunt",
   "stupa",
   "stupe",
   "sturt",
   "styed",
   "styes",
-  "style",
   "styli",
   "stylo",
   "styme",
   "stymy",
-  "suave",
   "subah",
   "subby",
   "suber",
@@ -9845,12 +10207,9 @@ export const SOLUTIONS_LIST = [
   "suets",
   "suety",
   "sugan",
-  "sugar",
   "suhur",
   "suids",
-  "suing",
   "suint",
-  "suite",
   "suits",
   "sujee",
   "sukhs",
@@ -9858,19 +10217,14 @@ export const SOLUTIONS_LIST = [
   "sulci",
   "sulfa",
   "sulks",
-  "sulky",
-  "sully",
   "sulus",
-  "sumac",
   "summa",
   "sumos",
   "sumph",
   "sumps",
   "sunis",
   "sunna",
-  "sunny",
   "sunup",
-  "super",
   "supes",
   "supra",
   "surah",
@@ -9878,15 +10232,11 @@ export const SOLUTIONS_LIST = [
   "suras",
   "surat",
   "surds",
-  "surer",
   "surfs",
   "surfy",
-  "surge",
   "surgy",
-  "surly",
   "surra",
   "sused",
-  "sushi",
   "susus",
   "sutor",
   "sutra",
@@ -9899,8 +10249,6 @@ export const SOLUTIONS_LIST = [
   "swain",
   "swale",
   "swaly",
-  "swami",
-  "swamp",
   "swamy",
   "swang",
   "swank",
@@ -9910,38 +10258,23 @@ export const SOLUTIONS_LIST = [
   "sward",
   "sware",
   "swarf",
-  "swarm",
   "swart",
-  "swash",
-  "swath",
   "swats",
   "sways",
   "sweal",
-  "swear",
-  "sweat",
   "swede",
-  "sweep",
   "sweer",
   "swees",
-  "sweet",
   "sweir",
-  "swell",
   "swelt",
-  "swept",
   "swerf",
   "swies",
-  "swift",
   "swigs",
   "swile",
-  "swill",
   "swims",
-  "swine",
-  "swing",
   "swink",
   "swipe",
   "swire",
-  "swirl",
-  "swish",
   "swiss",
   "swith",
   "swive",
@@ -9949,15 +10282,9 @@ export const SOLUTIONS_LIST = [
   "swobs",
   "swole",
   "swoln",
-  "swoon",
-  "swoop",
   "swops",
   "swopt",
-  "sword",
-  "swore",
-  "sworn",
   "swots",
-  "swung",
   "sybil",
   "syboe",
   "sybow",
@@ -9972,21 +10299,16 @@ export const SOLUTIONS_LIST = [
   "symar",
   "synch",
   "syncs",
-  "synod",
   "synth",
   "syrah",
   "syren",
-  "syrup",
   "sysop",
   "sythe",
-  "tabby",
   "taber",
   "tabes",
   "tabid",
   "tabis",
   "tabla",
-  "table",
-  "taboo",
   "tabor",
   "tabun",
   "tabus",
@@ -9995,13 +10317,10 @@ export const SOLUTIONS_LIST = [
   "tache",
   "tacho",
   "tachs",
-  "tacit",
   "tacks",
-  "tacky",
   "tacos",
   "tacts",
   "taels",
-  "taffy",
   "tafia",
   "taggy",
   "tagma",
@@ -10011,14 +10330,11 @@ export const SOLUTIONS_LIST = [
   "taigs",
   "taiko",
   "tails",
-  "taint",
   "taira",
   "taish",
   "taits",
   "tajes",
   "takas",
-  "taken",
-  "taker",
   "takes",
   "takhi",
   "takin",
@@ -10036,15 +10352,12 @@ export const SOLUTIONS_LIST = [
   "talks",
   "talky",
   "talls",
-  "tally",
   "talma",
-  "talon",
   "talpa",
   "taluk",
   "talus",
   "tamal",
   "tamed",
-  "tamer",
   "tames",
   "tamin",
   "tamis",
@@ -10053,9 +10366,7 @@ export const SOLUTIONS_LIST = [
   "tanas",
   "tanga",
   "tangi",
-  "tango",
   "tangs",
-  "tangy",
   "tanka",
   "tanks",
   "tanky",
@@ -10065,16 +10376,13 @@ export const SOLUTIONS_LIST = [
   "tanty",
   "tapas",
   "taped",
-  "taper",
   "tapes",
   "tapet",
-  "tapir",
   "tapis",
   "tappa",
   "tapus",
   "taras",
   "tardo",
-  "tardy",
   "tared",
   "tares",
   "targe",
@@ -10082,7 +10390,6 @@ export const SOLUTIONS_LIST = [
   "taroc",
   "tarok",
   "taros",
-  "tarot",
   "tarps",
   "tarre",
   "tarry",
@@ -10096,16 +10403,12 @@ export const SOLUTIONS_LIST = [
   "tassa",
   "tasse",
   "tasso",
-  "taste",
-  "tasty",
   "tater",
   "taths",
   "tatie",
   "tatou",
   "tatts",
-  "tatty",
   "tatus",
-  "taunt",
   "tauon",
   "taupe",
   "tauts",
@@ -10114,7 +10417,6 @@ export const SOLUTIONS_LIST = [
   "tawed",
   "tawer",
   "tawie",
-  "tawny",
   "tawse",
   "taxed",
   "taxer",
@@ -10126,7 +10428,6 @@ export const SOLUTIONS_LIST = [
   "tayra",
   "tazza",
   "tazze",
-  "teach",
   "teade",
   "teads",
   "teaed",
@@ -10134,20 +10435,16 @@ export const SOLUTIONS_LIST = [
   "teals",
   "teams",
   "tears",
-  "teary",
-  "tease",
   "teats",
   "teaze",
   "techs",
   "techy",
   "tecta",
-  "teddy",
   "teems",
   "teend",
   "teens",
   "teeny",
   "teers",
-  "teeth",
   "teffs",
   "teggs",
   "tegus",
@@ -10168,29 +10465,22 @@ export const SOLUTIONS_LIST = [
   "telos",
   "temes",
   "tempi",
-  "tempo",
   "temps",
   "tempt",
   "temse",
   "tench",
   "tends",
   "tendu",
-  "tenet",
   "tenge",
   "tenia",
   "tenne",
   "tenno",
   "tenny",
   "tenon",
-  "tenor",
-  "tense",
-  "tenth",
   "tents",
   "tenue",
   "tepal",
   "tepas",
-  "tepee",
-  "tepid",
   "tepoy",
   "terai",
   "teras",
@@ -10201,14 +10491,11 @@ export const SOLUTIONS_LIST = [
   "terms",
   "terne",
   "terns",
-  "terra",
   "terry",
-  "terse",
   "tesla",
   "testa",
   "teste",
   "tests",
-  "testy",
   "teths",
   "tetra",
   "tetri",
@@ -10226,7 +10513,6 @@ export const SOLUTIONS_LIST = [
   "thana",
   "thane",
   "thang",
-  "thank",
   "thanx",
   "tharm",
   "thars",
@@ -10237,74 +10523,48 @@ export const SOLUTIONS_LIST = [
   "theed",
   "theek",
   "thees",
-  "theft",
   "thegn",
   "theic",
   "thein",
-  "their",
   "thema",
-  "theme",
   "theow",
-  "there",
   "therm",
-  "these",
   "thesp",
-  "theta",
   "thews",
   "thewy",
-  "thick",
-  "thief",
-  "thigh",
   "thigs",
   "thilk",
   "thill",
   "thine",
-  "thing",
-  "think",
   "thins",
   "thiol",
-  "third",
   "thirl",
   "thoft",
   "thole",
   "tholi",
-  "thong",
-  "thorn",
   "thoro",
   "thorp",
-  "those",
   "thous",
   "thowl",
-  "three",
-  "threw",
   "thrid",
   "thrip",
-  "throb",
   "throe",
-  "throw",
-  "thrum",
   "thuds",
   "thugs",
   "thuja",
-  "thumb",
-  "thump",
   "thunk",
   "thurl",
   "thuya",
-  "thyme",
   "thymi",
   "thymy",
   "tians",
-  "tiara",
   "tiars",
-  "tibia",
   "tical",
   "ticed",
   "tices",
   "tichy",
   "ticks",
   "ticky",
-  "tidal",
   "tiddy",
   "tided",
   "tides",
@@ -10312,16 +10572,13 @@ export const SOLUTIONS_LIST = [
   "tiffs",
   "tifos",
   "tifts",
-  "tiger",
   "tiges",
-  "tight",
   "tigon",
   "tikas",
   "tikes",
   "tikis",
   "tikka",
   "tilak",
-  "tilde",
   "tiled",
   "tiler",
   "tiles",
@@ -10331,9 +10588,7 @@ export const SOLUTIONS_LIST = [
   "tilts",
   "timbo",
   "timed",
-  "timer",
   "times",
-  "timid",
   "timps",
   "tinct",
   "tinds",
@@ -10348,17 +10603,13 @@ export const SOLUTIONS_LIST = [
   "tinty",
   "tipis",
   "tippy",
-  "tipsy",
   "tired",
   "tires",
   "tirls",
   "tiros",
-  "titan",
   "titch",
   "titer",
-  "tithe",
   "titis",
-  "title",
   "titre",
   "titty",
   "titup",
@@ -10367,13 +10618,10 @@ export const SOLUTIONS_LIST = [
   "tizzy",
   "toads",
   "toady",
-  "toast",
   "toaze",
   "tocks",
   "tocos",
-  "today",
   "todde",
-  "toddy",
   "toeas",
   "toffs",
   "toffy",
@@ -10391,7 +10639,6 @@ export const SOLUTIONS_LIST = [
   "toits",
   "tokay",
   "toked",
-  "token",
   "toker",
   "tokes",
   "tokos",
@@ -10409,16 +10656,13 @@ export const SOLUTIONS_LIST = [
   "tomia",
   "tommy",
   "tomos",
-  "tonal",
   "tondi",
   "tondo",
   "toned",
   "toner",
   "tones",
   "toney",
-  "tonga",
   "tongs",
-  "tonic",
   "tonka",
   "tonks",
   "tonne",
@@ -10426,9 +10670,7 @@ export const SOLUTIONS_LIST = [
   "tools",
   "tooms",
   "toons",
-  "tooth",
   "toots",
-  "topaz",
   "toped",
   "topee",
   "topek",
@@ -10436,14 +10678,12 @@ export const SOLUTIONS_LIST = [
   "topes",
   "tophi",
   "tophs",
-  "topic",
   "topis",
   "topoi",
   "topos",
   "toppy",
   "toque",
   "toran",
-  "torch",
   "torcs",
   "tores",
   "toric",
@@ -10453,24 +10693,18 @@ export const SOLUTIONS_LIST = [
   "torse",
   "torsi",
   "torsk",
-  "torso",
   "torta",
   "torte",
   "torts",
-  "torus",
   "tosas",
   "tosed",
   "toses",
   "toshy",
   "tossy",
-  "total",
   "toted",
-  "totem",
   "toter",
   "totes",
   "totty",
-  "touch",
-  "tough",
   "tours",
   "touse",
   "tousy",
@@ -10478,8 +10712,6 @@ export const SOLUTIONS_LIST = [
   "touze",
   "touzy",
   "towed",
-  "towel",
-  "tower",
   "towie",
   "towns",
   "towny",
@@ -10487,24 +10719,14 @@ export const SOLUTIONS_LIST = [
   "towsy",
   "towze",
   "towzy",
-  "toxic",
-  "toxin",
   "toyed",
   "toyer",
   "toyon",
   "tozed",
   "tozes",
   "trabs",
-  "trace",
-  "track",
-  "tract",
-  "trade",
   "trads",
   "tragi",
-  "trail",
-  "train",
-  "trait",
-  "tramp",
   "trams",
   "trank",
   "tranq",
@@ -10513,16 +10735,12 @@ export const SOLUTIONS_LIST = [
   "trape",
   "traps",
   "trapt",
-  "trash",
   "trass",
   "trats",
   "tratt",
   "trave",
-  "trawl",
   "trayf",
   "trays",
-  "tread",
-  "treat",
   "treck",
   "treed",
   "treen",
@@ -10532,20 +10750,13 @@ export const SOLUTIONS_LIST = [
   "treks",
   "trema",
   "trems",
-  "trend",
   "tress",
   "trets",
   "trews",
   "treyf",
   "treys",
   "triac",
-  "triad",
-  "trial",
-  "tribe",
-  "trice",
-  "trick",
   "tride",
-  "tried",
   "trier",
   "tries",
   "triff",
@@ -10557,11 +10768,9 @@ export const SOLUTIONS_LIST = [
   "triol",
   "trior",
   "trios",
-  "tripe",
   "trips",
   "tripy",
   "trist",
-  "trite",
   "troad",
   "troak",
   "troat",
@@ -10570,38 +10779,23 @@ export const SOLUTIONS_LIST = [
   "trods",
   "trogs",
   "troke",
-  "troll",
   "tromp",
   "trona",
   "tronc",
   "trone",
   "tronk",
   "trons",
-  "troop",
   "trooz",
-  "trope",
   "troth",
   "trots",
-  "trout",
-  "trove",
   "trows",
-  "truce",
-  "truck",
   "trued",
-  "truer",
   "trues",
   "trugs",
   "trull",
-  "truly",
-  "trump",
-  "trunk",
-  "truss",
-  "trust",
-  "truth",
   "tryer",
   "tryke",
   "tryma",
-  "tryst",
   "tsade",
   "tsadi",
   "tsars",
@@ -10612,12 +10806,10 @@ export const SOLUTIONS_LIST = [
   "tuart",
   "tuath",
   "tubae",
-  "tubal",
   "tubar",
   "tubas",
   "tubby",
   "tubed",
-  "tuber",
   "tubes",
   "tucks",
   "tufas",
@@ -10629,13 +10821,10 @@ export const SOLUTIONS_LIST = [
   "tuina",
   "tuism",
   "tules",
-  "tulip",
-  "tulle",
   "tulpa",
   "tulsi",
   "tumid",
   "tummy",
-  "tumor",
   "tumps",
   "tumpy",
   "tunas",
@@ -10643,13 +10832,11 @@ export const SOLUTIONS_LIST = [
   "tuner",
   "tunes",
   "tungs",
-  "tunic",
   "tunny",
   "tupek",
   "tupik",
   "tuple",
   "tuque",
-  "turbo",
   "turds",
   "turfs",
   "turfy",
@@ -10663,46 +10850,35 @@ export const SOLUTIONS_LIST = [
   "tusks",
   "tusky",
   "tutee",
-  "tutor",
   "tutti",
   "tutty",
   "tutus",
   "tuxes",
   "tuyer",
   "twain",
-  "twang",
   "twank",
   "twats",
-  "tweak",
-  "tweed",
   "tweel",
   "tween",
   "tweep",
   "tweer",
-  "tweet",
   "twerk",
   "twerp",
-  "twice",
   "twier",
   "twigs",
   "twill",
   "twilt",
-  "twine",
   "twink",
   "twins",
   "twiny",
   "twire",
-  "twirl",
   "twirp",
-  "twist",
   "twite",
   "twits",
-  "twixt",
   "twoer",
   "twyer",
   "tyees",
   "tyers",
-  "tying",
   "tyiyn",
   "tykes",
   "tyler",
@@ -10722,7 +10898,6 @@ export const SOLUTIONS_LIST = [
   "tythe",
   "tzars",
   "udals",
-  "udder",
   "udons",
   "ugali",
   "ugged",
@@ -10731,7 +10906,6 @@ export const SOLUTIONS_LIST = [
   "ukase",
   "ulama",
   "ulans",
-  "ulcer",
   "ulema",
   "ulmin",
   "ulnad",
@@ -10739,13 +10913,11 @@ export const SOLUTIONS_LIST = [
   "ulnar",
   "ulnas",
   "ulpan",
-  "ultra",
   "ulvas",
   "umami",
   "umbel",
   "umber",
   "umbos",
-  "umbra",
   "umbre",
   "umiac",
   "umiak",
@@ -10772,19 +10944,12 @@ export const SOLUTIONS_LIST = [
   "uncap",
   "unces",
   "uncia",
-  "uncle",
   "uncoy",
   "uncus",
-  "uncut",
   "undam",
   "undee",
-  "under",
-  "undid",
   "undos",
-  "undue",
   "undug",
-  "unfed",
-  "unfit",
   "unfix",
   "ungag",
   "unget",
@@ -10794,11 +10959,7 @@ export const SOLUTIONS_LIST = [
   "unhat",
   "unhip",
   "unica",
-  "unify",
-  "union",
-  "unite",
   "units",
-  "unity",
   "unjam",
   "unked",
   "unket",
@@ -10808,9 +10969,7 @@ export const SOLUTIONS_LIST = [
   "unled",
   "unlet",
   "unlid",
-  "unlit",
   "unman",
-  "unmet",
   "unmew",
   "unmix",
   "unpay",
@@ -10824,18 +10983,13 @@ export const SOLUTIONS_LIST = [
   "unsaw",
   "unsay",
   "unsee",
-  "unset",
   "unsew",
   "unsex",
   "untax",
-  "untie",
-  "until",
   "untin",
-  "unwed",
   "unwet",
   "unwit",
   "unwon",
-  "unzip",
   "upbow",
   "updos",
   "updry",
@@ -10845,11 +10999,9 @@ export const SOLUTIONS_LIST = [
   "upled",
   "uplit",
   "upped",
-  "upper",
   "upran",
   "uprun",
   "upsee",
-  "upset",
   "upsey",
   "upter",
   "uptie",
@@ -10859,7 +11011,6 @@ export const SOLUTIONS_LIST = [
   "urari",
   "urase",
   "urate",
-  "urban",
   "urbex",
   "ureal",
   "ureas",
@@ -10869,7 +11020,6 @@ export const SOLUTIONS_LIST = [
   "urger",
   "urges",
   "urial",
-  "urine",
   "urite",
   "urman",
   "urnal",
@@ -10879,19 +11029,12 @@ export const SOLUTIONS_LIST = [
   "urson",
   "urubu",
   "urvas",
-  "usage",
   "users",
-  "usher",
-  "using",
   "usnea",
   "usque",
-  "usual",
   "usure",
-  "usurp",
   "usury",
   "uteri",
-  "utile",
-  "utter",
   "uveal",
   "uveas",
   "uvula",
@@ -10899,7 +11042,6 @@ export const SOLUTIONS_LIST = [
   "vaded",
   "vades",
   "vagal",
-  "vague",
   "vagus",
   "vails",
   "vaire",
@@ -10908,13 +11050,8 @@ export const SOLUTIONS_LIST = [
   "vakas",
   "vakil",
   "vales",
-  "valet",
-  "valid",
   "valis",
-  "valor",
   "valse",
-  "value",
-  "valve",
   "vamps",
   "vampy",
   "vanda",
@@ -10925,8 +11062,6 @@ export const SOLUTIONS_LIST = [
   "vaped",
   "vaper",
   "vapes",
-  "vapid",
-  "vapor",
   "varan",
   "varas",
   "varec",
@@ -10942,8 +11077,6 @@ export const SOLUTIONS_LIST = [
   "vasty",
   "vatic",
   "vatus",
-  "vault",
-  "vaunt",
   "vauts",
   "vaxes",
   "veale",
@@ -10953,7 +11086,6 @@ export const SOLUTIONS_LIST = [
   "veeps",
   "veers",
   "veery",
-  "vegan",
   "vegas",
   "veges",
   "vegie",
@@ -10975,19 +11107,13 @@ export const SOLUTIONS_LIST = [
   "veney",
   "venge",
   "venin",
-  "venom",
   "vents",
-  "venue",
   "venus",
   "verbs",
-  "verge",
   "verry",
-  "verse",
-  "verso",
   "verst",
   "verts",
   "vertu",
-  "verve",
   "vesta",
   "vests",
   "vetch",
@@ -11001,10 +11127,8 @@ export const SOLUTIONS_LIST = [
   "vibes",
   "vibex",
   "vibey",
-  "vicar",
   "viced",
   "vices",
-  "video",
   "viers",
   "views",
   "viewy",
@@ -11012,11 +11136,8 @@ export const SOLUTIONS_LIST = [
   "viffs",
   "vigas",
   "vigia",
-  "vigil",
-  "vigor",
   "vilde",
   "viler",
-  "villa",
   "villi",
   "vills",
   "vimen",
@@ -11030,11 +11151,7 @@ export const SOLUTIONS_LIST = [
   "vinic",
   "vinos",
   "vints",
-  "vinyl",
-  "viola",
   "viols",
-  "viper",
-  "viral",
   "vired",
   "vireo",
   "vires",
@@ -11043,18 +11160,13 @@ export const SOLUTIONS_LIST = [
   "virid",
   "virls",
   "virtu",
-  "virus",
   "visas",
   "vised",
   "vises",
-  "visit",
   "visne",
   "vison",
-  "visor",
-  "vista",
   "visto",
   "vitae",
-  "vital",
   "vitas",
   "vitex",
   "vitta",
@@ -11062,25 +11174,18 @@ export const SOLUTIONS_LIST = [
   "vivat",
   "vivda",
   "vives",
-  "vivid",
-  "vixen",
   "vizir",
   "vizor",
   "vleis",
   "vlies",
   "vlogs",
   "vocab",
-  "vocal",
   "voces",
   "voddy",
-  "vodka",
   "vodou",
   "vodun",
   "vogie",
-  "vogue",
-  "voice",
   "voids",
-  "voila",
   "voile",
   "volae",
   "volar",
@@ -11095,14 +11200,10 @@ export const SOLUTIONS_LIST = [
   "volva",
   "volve",
   "vomer",
-  "vomit",
   "voted",
-  "voter",
   "votes",
-  "vouch",
   "vouge",
   "vowed",
-  "vowel",
   "vower",
   "voxel",
   "vozhd",
@@ -11118,11 +11219,9 @@ export const SOLUTIONS_LIST = [
   "vulgo",
   "vulns",
   "vulva",
-  "vying",
   "wacke",
   "wacko",
   "wacks",
-  "wacky",
   "wadds",
   "waddy",
   "waded",
@@ -11130,14 +11229,11 @@ export const SOLUTIONS_LIST = [
   "wades",
   "wadge",
   "wadis",
-  "wafer",
   "waffs",
   "wafts",
   "waged",
-  "wager",
   "wages",
   "wagga",
-  "wagon",
   "wagyu",
   "wahoo",
   "waifs",
@@ -11145,10 +11241,8 @@ export const SOLUTIONS_LIST = [
   "wails",
   "wains",
   "wairs",
-  "waist",
   "waite",
   "waits",
-  "waive",
   "wakas",
   "waked",
   "waken",
@@ -11167,7 +11261,6 @@ export const SOLUTIONS_LIST = [
   "walls",
   "wally",
   "walty",
-  "waltz",
   "wames",
   "wamus",
   "wands",
@@ -11195,31 +11288,25 @@ export const SOLUTIONS_LIST = [
   "warps",
   "warre",
   "warts",
-  "warty",
   "wases",
   "washy",
   "wasms",
   "wasps",
   "waspy",
-  "waste",
   "wasts",
   "watap",
-  "watch",
-  "water",
   "watts",
   "waugh",
   "wauks",
   "waulk",
   "wauls",
   "waved",
-  "waver",
   "waves",
   "wavey",
   "wawas",
   "wawes",
   "wawls",
   "waxed",
-  "waxen",
   "waxer",
   "waxes",
   "wayed",
@@ -11229,16 +11316,12 @@ export const SOLUTIONS_LIST = [
   "weals",
   "weans",
   "wears",
-  "weary",
-  "weave",
   "webby",
   "weber",
   "wecht",
   "wedel",
-  "wedge",
   "wedgy",
   "weeds",
-  "weedy",
   "weeke",
   "weeks",
   "weels",
@@ -11249,20 +11332,15 @@ export const SOLUTIONS_LIST = [
   "weest",
   "weets",
   "wefts",
-  "weigh",
-  "weird",
   "weirs",
   "wekas",
-  "welch",
   "welds",
   "welks",
   "welkt",
   "wells",
   "welly",
-  "welsh",
   "welts",
   "wembs",
-  "wench",
   "wends",
   "wenge",
   "wenny",
@@ -11273,64 +11351,46 @@ export const SOLUTIONS_LIST = [
   "wetly",
   "wexed",
   "wexes",
-  "whack",
-  "whale",
   "whamo",
   "whams",
   "whang",
   "whaps",
   "whare",
-  "wharf",
   "whats",
   "whaup",
   "wheal",
   "whear",
-  "wheat",
-  "wheel",
   "wheen",
   "wheft",
   "whelk",
   "whelm",
-  "whelp",
   "whens",
-  "where",
   "whets",
   "whews",
   "wheys",
-  "which",
   "whids",
-  "whiff",
   "whigs",
-  "while",
   "whilk",
   "whims",
-  "whine",
   "whins",
-  "whiny",
   "whios",
   "whips",
   "whipt",
-  "whirl",
   "whirr",
   "whirs",
   "whish",
-  "whisk",
   "whiss",
   "whist",
-  "white",
   "whits",
   "whity",
   "whizz",
-  "whole",
   "whomp",
   "whoof",
-  "whoop",
   "whoot",
   "whops",
   "whore",
   "whorl",
   "whort",
-  "whose",
   "whoso",
   "whump",
   "whups",
@@ -11338,12 +11398,7 @@ export const SOLUTIONS_LIST = [
   "wicks",
   "wicky",
   "widdy",
-  "widen",
-  "wider",
   "wides",
-  "widow",
-  "width",
-  "wield",
   "wifed",
   "wifes",
   "wifey",
@@ -11352,7 +11407,6 @@ export const SOLUTIONS_LIST = [
   "wigan",
   "wigga",
   "wiggy",
-  "wight",
   "wikis",
   "wilco",
   "wilds",
@@ -11361,14 +11415,9 @@ export const SOLUTIONS_LIST = [
   "wilga",
   "wilja",
   "wills",
-  "willy",
   "wilts",
   "wimps",
-  "wimpy",
-  "wince",
-  "winch",
   "winds",
-  "windy",
   "wined",
   "wines",
   "winey",
@@ -11386,21 +11435,17 @@ export const SOLUTIONS_LIST = [
   "wires",
   "wirra",
   "wised",
-  "wiser",
   "wises",
   "wisha",
   "wisht",
   "wisps",
-  "wispy",
   "wists",
   "witan",
-  "witch",
   "wited",
   "wites",
   "withe",
   "withs",
   "withy",
-  "witty",
   "wived",
   "wiver",
   "wives",
@@ -11410,16 +11455,13 @@ export const SOLUTIONS_LIST = [
   "wodge",
   "woful",
   "wojus",
-  "woken",
   "woker",
   "wolds",
   "wolfs",
   "wolly",
   "wolve",
-  "woman",
   "wombs",
   "womby",
-  "women",
   "womyn",
   "wonga",
   "wongi",
@@ -11427,63 +11469,38 @@ export const SOLUTIONS_LIST = [
   "wonky",
   "wonts",
   "woods",
-  "woody",
   "wooed",
-  "wooer",
   "woofs",
   "woofy",
   "woold",
   "wools",
-  "wooly",
   "woons",
   "woops",
   "woose",
   "woosh",
   "wootz",
-  "woozy",
   "words",
-  "wordy",
   "works",
-  "world",
   "worms",
   "wormy",
-  "worry",
-  "worse",
-  "worst",
-  "worth",
   "worts",
-  "would",
-  "wound",
-  "woven",
   "wowed",
   "wowee",
-  "wrack",
   "wrang",
   "wraps",
   "wrapt",
   "wrate",
-  "wrath",
   "wrawl",
-  "wreak",
-  "wreck",
   "wrens",
-  "wrest",
   "wrick",
   "wried",
   "wrier",
   "wries",
-  "wring",
-  "wrist",
-  "write",
   "writs",
   "wroke",
-  "wrong",
   "wroot",
-  "wrote",
   "wroth",
-  "wrung",
   "wryer",
-  "wryly",
   "wurst",
   "wushu",
   "wussy",
@@ -11511,7 +11528,6 @@ export const SOLUTIONS_LIST = [
   "yabba",
   "yabby",
   "yacca",
-  "yacht",
   "yacks",
   "yaffs",
   "yager",
@@ -11557,9 +11573,7 @@ export const SOLUTIONS_LIST = [
   "yealm",
   "yeans",
   "yeard",
-  "yearn",
   "years",
-  "yeast",
   "yecch",
   "yechs",
   "yechy",
@@ -11587,7 +11601,6 @@ export const SOLUTIONS_LIST = [
   "yexed",
   "yexes",
   "yfere",
-  "yield",
   "yiked",
   "yikes",
   "yills",
@@ -11628,12 +11641,10 @@ export const SOLUTIONS_LIST = [
   "yores",
   "yorks",
   "youks",
-  "young",
   "yourn",
   "yours",
   "yourt",
   "youse",
-  "youth",
   "yowes",
   "yowie",
   "yowls",
@@ -11687,7 +11698,6 @@ export const SOLUTIONS_LIST = [
   "zazen",
   "zeals",
   "zebec",
-  "zebra",
   "zebub",
   "zebus",
   "zeins",
@@ -11696,7 +11706,6 @@ export const SOLUTIONS_LIST = [
   "zerks",
   "zeros",
   "zests",
-  "zesty",
   "zetas",
   "zezes",
   "zhomo",
@@ -11764,3 +11773,9 @@ export const SOLUTIONS_LIST = [
   "zymes",
   "zymic"
 ];
+
+/**
+ * Complete list of valid 5-letter words for Wordle (answers + valid guesses)
+ * Sorted alphabetically
+ */
+export const SOLUTIONS_LIST = [...ANSWERS_LIST, ...VALID_GUESSES_LIST].sort();
@@ -0,0 +1,5206 @@
+// src/data/wordFrequency/frequency10.js
+//
+// 10-LETTER WORD FREQUENCY (generated by scripts/buildWordFrequency.js - do not edit by hand)
+//
+// Zipf frequency (log10 of occurrences per billion words) from SUBTLEX-US film
+// subtitles. ~1 = rare, 3 = uncommon, 4-5 = everyday words. Words that never
+// appear in the corpus are left out (treated as 0).
+//
+// Source: subtlex-word-frequencies npm package (ISC, Copyright (c) 2015 Zeke Sikelianos)
+
+/**
+ * Commonness score per word
+ * Total: 5190 of 7143 words found in the corpus
+ */
+export const WORD_FREQUENCY = {
+  abandoning: 3.2,
+  abbreviate: 1.3,
+  abdicating: 1.8,
+  abdication: 2.1,
+  abductions: 2.9,
+  aberration: 2.7,
+  abnormally: 2.6,
+  abolishing: 1.6,
+  abominable: 2.8,
+  abominably: 2.2,
+  aboriginal: 2.2,
+  aborigines: 2.2,
+  aboveboard: 2.4,
+  abrogating: 1.3,
+  abruptness: 1.9,
+  absconding: 1.8,
+  absolutely: 5.1,
+  absolution: 3,
+  absorption: 2.5,
+  abstainers: 1.3,
+  abstaining: 2.2,
+  abstention: 2.1,
+  abstinence: 2.9,
+  abstracted: 1.8,
+  abstractly: 1.6,
+  abundantly: 2.6,
+  accelerate: 3.1,
+  accentuate: 2.5,
+  acceptable: 3.7,
+  acceptance: 3.5,
+  accessible: 3,
+  accidental: 3.5,
+  acclimated: 2.3,
+  acclimates: 1.3,
+  accomplice: 3.6,
+  accomplish: 3.8,
+  accordance: 3.2,
+  accordions: 1.8,
+  accountant: 3.8,
+  accounting: 3.7,
+  accredited: 2.5,
+  accumulate: 2.8,
+  accurately: 3.1,
+  accusation: 3.4,
+  accusatory: 1.8,
+  accustomed: 3.5,
+  achievable: 1.6,
+  acoustical: 2.1,
+  acquainted: 3.7,
+  acquiesced: 2,
+  acquittals: 1.3,
+  acquitting: 2.1,
+  acrobatics: 2.3,
+  actionable: 2.4,
+  activating: 2.9,
+  activation: 2.9,
+  activities: 3.9,
+  adaptation: 3.2,
+  addictions: 2.6,
+  additional: 3.8,
+  addressing: 3.3,
+  adequately: 2.7,
+  adjectives: 2.7,
+  adjourning: 1.6,
+  adjudicate: 2,
+  adjustable: 2.5,
+  adjustment: 3.5,
+  administer: 3.2,
+  admiration: 3.3,
+  admissible: 2.9,
+  admissions: 3.3,
+  admittance: 2.8,
+  admittedly: 3,
+  admonished: 1.9,
+  admonition: 2,
+  adolescent: 3.3,
+  adornments: 1.6,
+  adrenaline: 3.5,
+  adroitness: 1.3,
+  adulterant: 1.3,
+  adulterate: 1.3,
+  adulterers: 2.1,
+  adulteress: 2.4,
+  adulterous: 2.5,
+  advantaged: 1.6,
+  advantages: 3.5,
+  adventurer: 2.9,
+  adventures: 3.6,
+  advertised: 3,
+  advertiser: 2.2,
+  advertises: 2.1,
+  advisement: 2.9,
+  advisories: 1.6,
+  advocating: 2.5,
+  aerobatics: 1.3,
+  aesthetics: 2.5,
+  affability: 1.9,
+  affections: 3.1,
+  affidavits: 2.8,
+  affiliated: 2.9,
+  affiliates: 2.5,
+  afflicting: 2.1,
+  affliction: 3.1,
+  affordable: 2.8,
+  aficionado: 2.3,
+  afterbirth: 2,
+  aftermaths: 1.3,
+  afternoons: 3.3,
+  aftershave: 3,
+  aftershock: 2.4,
+  aftertaste: 2.3,
+  afterwards: 4.1,
+  afterwords: 1.6,
+  aggrandize: 1.3,
+  aggravated: 3.1,
+  aggravates: 2.2,
+  aggression: 3.4,
+  aggressive: 3.9,
+  aggressors: 2.5,
+  agreements: 2.9,
+  airbrushed: 2.2,
+  airlifting: 2,
+  alarmingly: 2.2,
+  alchemists: 2.1,
+  alcoholics: 3,
+  alcoholism: 2.9,
+  algorithms: 2.4,
+  alienating: 2.7,
+  alienation: 2.6,
+  alignments: 1.3,
+  alimentary: 1.9,
+  allegation: 2.7,
+  allegiance: 3.5,
+  allegories: 1.3,
+  allergists: 1.3,
+  alleviated: 1.6,
+  alleviates: 1.8,
+  alligators: 3.1,
+  allocating: 1.9,
+  allocation: 2.3,
+  allotments: 1.3,
+  allowances: 2.7,
+  alteration: 2.8,
+  alternated: 2,
+  alternates: 2.2,
+  alternator: 2.5,
+  altimeters: 1.3,
+  altogether: 3.8,
+  altruistic: 2.5,
+  amanuensis: 1.6,
+  amateurish: 2.6,
+  amateurism: 1.3,
+  ambassador: 4.1,
+  ambivalent: 2.4,
+  ambulances: 3.1,
+  ambulatory: 2.4,
+  ameliorate: 1.6,
+  amendments: 2.6,
+  amiability: 1.3,
+  ammunition: 3.8,
+  amortizing: 1.6,
+  amphibians: 2.3,
+  amphibious: 2.8,
+  amplifiers: 2.1,
+  amplifying: 2.1,
+  amputating: 1.6,
+  amputation: 2.9,
+  amusements: 2.1,
+  analgesics: 1.8,
+  analytical: 2.8,
+  anarchists: 2.5,
+  anatomical: 2.5,
+  anchorites: 1.3,
+  anemometer: 1.3,
+  anesthesia: 3.3,
+  anesthetic: 3.1,
+  animations: 1.3,
+  annexation: 2.1,
+  annihilate: 2.8,
+  annotating: 1.3,
+  announcers: 2.1,
+  announcing: 3.4,
+  annoyances: 2.1,
+  annoyingly: 2.3,
+  annulments: 1.3,
+  answerable: 2.2,
+  antagonism: 2.3,
+  antagonist: 2.4,
+  antagonize: 2.7,
+  antebellum: 2,
+  antecedent: 1.8,
+  anthracite: 1.8,
+  anthropoid: 1.8,
+  antibiotic: 2.8,
+  antibodies: 2.8,
+  anticipate: 3.4,
+  anticlimax: 1.9,
+  antifreeze: 2.5,
+  antiheroes: 1.3,
+  antimatter: 2.3,
+  antiquated: 2.7,
+  antiseptic: 2.9,
+  antisocial: 2.9,
+  antithesis: 2.5,
+  antivirals: 1.8,
+  apartments: 3.6,
+  apocalypse: 3.4,
+  apolitical: 2.1,
+  apologetic: 2.6,
+  apologists: 1.3,
+  apologized: 3.6,
+  apologizes: 2.6,
+  apoplectic: 2.2,
+  apostrophe: 2.4,
+  apothecary: 2.6,
+  apotheosis: 1.9,
+  apparently: 4.7,
+  apparition: 2.9,
+  appearance: 4.1,
+  appendages: 2.2,
+  appendices: 1.6,
+  appendixes: 1.3,
+  appetizers: 3,
+  appetizing: 2.8,
+  applauding: 2.9,
+  applesauce: 2.8,
+  appliances: 3,
+  applicable: 2.4,
+  applicants: 2.9,
+  applicator: 2.3,
+  appointees: 1.8,
+  appointing: 2.6,
+  appraisals: 2,
+  appraisers: 1.9,
+  appraising: 1.9,
+  appreciate: 4.9,
+  apprentice: 3.3,
+  approached: 3.6,
+  approaches: 3.5,
+  aquamarine: 2.7,
+  arbitrates: 1.3,
+  arbitrator: 1.9,
+  arboretums: 1.6,
+  archangels: 1.8,
+  archbishop: 3.6,
+  archdeacon: 2.1,
+  archetypal: 2.1,
+  archetypes: 1.8,
+  architects: 3,
+  archivists: 1.3,
+  aristocrat: 3.1,
+  arithmetic: 3.2,
+  armadillos: 2.2,
+  arraigning: 1.3,
+  arrogantly: 1.8,
+  arrowheads: 2.3,
+  arthropods: 1.6,
+  artichokes: 2.3,
+  articulate: 3.2,
+  artificial: 3.7,
+  ascendancy: 2.1,
+  aspersions: 2.2,
+  asphyxiate: 2.2,
+  aspiration: 2.8,
+  assailable: 1.3,
+  assailants: 2.6,
+  assaulting: 3.1,
+  assemblage: 2.1,
+  assemblers: 1.3,
+  assemblies: 2.1,
+  assembling: 2.9,
+  assertions: 2,
+  assessment: 3.5,
+  assignment: 4.3,
+  assimilate: 2.7,
+  assistance: 4,
+  assistants: 3.4,
+  associated: 3.6,
+  associates: 3.7,
+  assortment: 2.9,
+  assumption: 3.5,
+  assurances: 2.9,
+  asthmatics: 2,
+  astonished: 3,
+  astonishes: 1.6,
+  astounding: 3.1,
+  astringent: 2.1,
+  astrologer: 2.4,
+  astronauts: 3.3,
+  astronomer: 2.8,
+  astronomic: 1.8,
+  astuteness: 1.3,
+  asymmetric: 1.6,
+  atmosphere: 4,
+  atrocities: 3,
+  atrophying: 1.6,
+  attachment: 3.1,
+  attainable: 2.1,
+  attainment: 1.8,
+  attempting: 3.6,
+  attendance: 3.4,
+  attendants: 3,
+  attentions: 2.8,
+  attenuated: 1.6,
+  attracting: 3.1,
+  attraction: 3.8,
+  attractive: 4.4,
+  attributed: 2.9,
+  attributes: 2.9,
+  atypically: 1.3,
+  auctioneer: 2.7,
+  auctioning: 2.4,
+  audiophile: 1.3,
+  auditioned: 2.8,
+  auditorium: 3.2,
+  augmenting: 2,
+  auspicious: 2.7,
+  authorized: 3.8,
+  authorizes: 2.2,
+  authorship: 2,
+  autocratic: 1.9,
+  autographs: 3.3,
+  autoimmune: 2.2,
+  automatics: 2.3,
+  automating: 1.3,
+  automation: 2.2,
+  automatons: 2.1,
+  automobile: 3.8,
+  automotive: 2.8,
+  autonomous: 2.3,
+  autopilots: 1.3,
+  autopsying: 1.9,
+  avalanches: 2.4,
+  avaricious: 1.9,
+  awakenings: 1.8,
+  ayatollahs: 1.9,
+  babysitter: 3.7,
+  bacchanals: 1.6,
+  backbiters: 1.3,
+  backbiting: 2,
+  backboards: 1.8,
+  backfiring: 2.3,
+  backgammon: 2.9,
+  background: 4.2,
+  backhanded: 2.1,
+  backlogged: 2,
+  backpacked: 1.8,
+  backpacker: 1.6,
+  backpedals: 1.3,
+  backstairs: 2.3,
+  backstroke: 2.4,
+  backwaters: 2.1,
+  badmouthed: 1.3,
+  balalaikas: 1.6,
+  balderdash: 2.5,
+  ballerinas: 2.7,
+  ballistics: 3.4,
+  ballooning: 2,
+  balloonist: 1.8,
+  ballplayer: 2.8,
+  ballpoints: 1.3,
+  bamboozled: 2.5,
+  banalities: 1.8,
+  bandoleers: 1.9,
+  banishment: 2.3,
+  bankrolled: 2.3,
+  bankruptcy: 3.4,
+  bankrupted: 2.2,
+  banqueting: 1.8,
+  barbarians: 3.1,
+  barbecuing: 2.5,
+  barbershop: 3.3,
+  barefooted: 2.2,
+  barehanded: 2.1,
+  bareheaded: 1.3,
+  bargaining: 3.3,
+  barometers: 1.6,
+  barometric: 2.4,
+  barracudas: 2.4,
+  barrenness: 1.8,
+  barricaded: 2.7,
+  barricades: 2.9,
+  barristers: 2,
+  bartenders: 2.9,
+  baseboards: 1.9,
+  basketball: 4.3,
+  bastardize: 1.3,
+  bathhouses: 2.1,
+  battalions: 2.7,
+  battlement: 2.2,
+  battleship: 3.2,
+  beachheads: 2,
+  beastliest: 1.3,
+  beatitudes: 1.6,
+  beautician: 2.3,
+  beautified: 1.3,
+  bedclothes: 2.2,
+  bedfellows: 2.4,
+  bedraggled: 1.6,
+  bedspreads: 2.1,
+  beefburger: 1.6,
+  beefsteaks: 1.3,
+  beekeepers: 1.9,
+  beekeeping: 1.6,
+  beforehand: 3.2,
+  befriended: 2.5,
+  befuddling: 1.3,
+  beginnings: 3.1,
+  begrudging: 1.8,
+  behavioral: 3.2,
+  belaboring: 1.3,
+  believable: 3.1,
+  belittling: 2.5,
+  belladonna: 2.3,
+  bellwether: 2.2,
+  bellyaches: 1.8,
+  belongings: 3.5,
+  benchmarks: 1.3,
+  benefactor: 3.2,
+  beneficent: 2,
+  beneficial: 2.9,
+  benefiting: 2.2,
+  benevolent: 2.9,
+  bequeathed: 2.2,
+  beseeching: 1.6,
+  besmirched: 1.6,
+  bespeaking: 1.3,
+  bestiality: 2.5,
+  bestriding: 1.3,
+  bestseller: 2.8,
+  betterment: 2.4,
+  bewildered: 3,
+  bewitching: 2.5,
+  biannually: 1.8,
+  bifurcated: 1.6,
+  bighearted: 2,
+  billboards: 2.9,
+  binoculars: 3.2,
+  biochemist: 2.6,
+  biographer: 2.6,
+  biological: 3.8,
+  biologists: 2.2,
+  biomedical: 1.9,
+  biophysics: 1.6,
+  biorhythms: 1.3,
+  bipartisan: 1.9,
+  birthmarks: 2.1,
+  birthplace: 2.9,
+  birthright: 3,
+  birthstone: 2.1,
+  bitterness: 3.1,
+  bituminous: 1.3,
+  bivouacked: 2,
+  blackballs: 1.3,
+  blackberry: 2.9,
+  blackbirds: 2.3,
+  blackboard: 3.1,
+  blackguard: 2.5,
+  blackheads: 2,
+  blackjacks: 2,
+  blacklists: 1.3,
+  blackmails: 2.1,
+  blacksmith: 3.3,
+  blancmange: 1.8,
+  blanketing: 1.3,
+  blarneying: 1.3,
+  blasphemed: 1.9,
+  blasphemer: 2.4,
+  blasphemes: 1.8,
+  blindfolds: 2.4,
+  blindingly: 1.9,
+  blindsided: 2.6,
+  blindsides: 1.3,
+  blissfully: 2.4,
+  blistering: 2.7,
+  blockading: 1.8,
+  blockheads: 2.1,
+  blockhouse: 2.3,
+  bloodbaths: 1.3,
+  bloodhound: 3,
+  bloodstain: 2.4,
+  blossoming: 2.8,
+  blubbering: 2.8,
+  bludgeoned: 2.7,
+  bluebottle: 1.8,
+  bluejacket: 1.6,
+  blueprints: 3.4,
+  blunderers: 1.3,
+  blundering: 2.8,
+  blustering: 1.9,
+  boardwalks: 1.3,
+  bodyguards: 3.4,
+  boisterous: 2.4,
+  bolstering: 1.3,
+  bombardier: 2.8,
+  bombarding: 2.5,
+  bombshells: 2.4,
+  bookkeeper: 3.1,
+  bookmakers: 1.8,
+  bookmaking: 2.3,
+  bookmarked: 1.9,
+  bookmobile: 1.6,
+  bookseller: 2,
+  bookstores: 2.7,
+  boomerangs: 1.9,
+  boondoggle: 1.8,
+  bootlegged: 2.2,
+  bootlegger: 2.8,
+  bootstraps: 2.1,
+  borderland: 1.3,
+  borderline: 3.2,
+  bothersome: 2.5,
+  bottleneck: 2.7,
+  bottomless: 2.9,
+  boulevards: 2.2,
+  boundaries: 3.6,
+  boycotting: 2.4,
+  boyfriends: 3.7,
+  brainchild: 2.3,
+  brainstorm: 2.9,
+  brandished: 2,
+  brassieres: 2.3,
+  breadfruit: 2.1,
+  breakables: 2.1,
+  breakdowns: 2.7,
+  breakfasts: 2.7,
+  breakwater: 2,
+  breastbone: 2.2,
+  breathable: 2.4,
+  breathless: 3,
+  bricklayer: 2.3,
+  bridegroom: 3.2,
+  bridesmaid: 3.4,
+  bridgehead: 2.1,
+  bridgework: 2.1,
+  briefcases: 2.5,
+  brigandage: 1.6,
+  brigantine: 1.8,
+  brightened: 2.1,
+  brightness: 2.8,
+  brilliance: 3.2,
+  brilliancy: 1.6,
+  briquettes: 1.8,
+  broadcasts: 2.7,
+  broadcloth: 1.6,
+  broadening: 2.3,
+  broadsided: 1.3,
+  broadsides: 2.1,
+  broadsword: 2.6,
+  brokerages: 1.6,
+  bronchitis: 2.5,
+  broomstick: 2.9,
+  browbeaten: 1.3,
+  brownstone: 2.7,
+  brutalized: 2.3,
+  brutalizes: 1.3,
+  buccaneers: 2.4,
+  buckboards: 1.6,
+  buffoonery: 2.1,
+  bulldozers: 2.6,
+  bulldozing: 2.2,
+  bullfights: 2.1,
+  bullheaded: 2.6,
+  bumblebees: 1.6,
+  bunkhouses: 1.3,
+  burdensome: 1.3,
+  bureaucrat: 2.8,
+  burgeoning: 2.5,
+  burglaries: 2.9,
+  burglarize: 1.8,
+  burnishing: 1.3,
+  businesses: 3.5,
+  busybodies: 2.1,
+  butchering: 2.5,
+  buttercups: 2,
+  buttermilk: 3.1,
+  buttonhole: 2.3,
+  buttressed: 1.3,
+  buttresses: 1.6,
+  byproducts: 2.4,
+  bystanders: 2.7,
+  cablegrams: 1.9,
+  cadaverous: 1.3,
+  cafeterias: 1.9,
+  calamities: 1.9,
+  calamitous: 2.1,
+  calculated: 3.4,
+  calculates: 2.3,
+  calculator: 3.1,
+  calendared: 1.6,
+  calibrated: 2.7,
+  camcorders: 1.8,
+  camouflage: 3.3,
+  campaigned: 2.4,
+  campaigner: 2.2,
+  campground: 2.2,
+  candelabra: 2.1,
+  candidates: 3.6,
+  candidness: 1.3,
+  cannonball: 3.2,
+  cantaloupe: 2.9,
+  cantilever: 2.1,
+  canvasback: 1.6,
+  canvassing: 2.7,
+  capability: 3.1,
+  capacities: 2.4,
+  capacitors: 2,
+  capitalism: 3,
+  capitalist: 3.2,
+  capitalize: 2.7,
+  capitulate: 2.5,
+  cappuccino: 3.5,
+  capricious: 2.6,
+  captaining: 1.8,
+  captioning: 2.9,
+  captivated: 2.7,
+  captivates: 1.3,
+  carbonated: 2.5,
+  carbuncles: 1.3,
+  carburetor: 3,
+  carcinogen: 2.1,
+  cardiogram: 2.3,
+  cardiology: 2.6,
+  caregivers: 2.1,
+  carelessly: 2.8,
+  caretakers: 2.1,
+  caricature: 2.5,
+  carjackers: 1.8,
+  carjacking: 2.5,
+  carnations: 2.6,
+  carnivores: 2.4,
+  carpenters: 2.8,
+  cartooning: 1.3,
+  cartoonist: 2.5,
+  cartridges: 3,
+  cartwheels: 2.7,
+  caseworker: 2.4,
+  casseroles: 2.3,
+  castrating: 2.1,
+  castration: 2.7,
+  casualness: 1.3,
+  casualties: 3.9,
+  cataclysms: 1.3,
+  cataleptic: 1.9,
+  cataloging: 2.4,
+  catalyzing: 1.8,
+  catapulted: 2.2,
+  catatonics: 2.1,
+  catcalling: 1.6,
+  categories: 3,
+  categorize: 2.2,
+  cathedrals: 2.5,
+  cauterized: 2.1,
+  cautionary: 2.5,
+  cautiously: 2.6,
+  cavalcades: 1.3,
+  cavalryman: 2,
+  cavalrymen: 1.6,
+  celebrated: 3.4,
+  celebrates: 2.7,
+  cellophane: 2.9,
+  cemeteries: 2.9,
+  censorship: 3,
+  centennial: 2.6,
+  centerfold: 2.8,
+  centigrade: 2.3,
+  centigrams: 1.6,
+  centimeter: 2.3,
+  centipedes: 1.8,
+  centralize: 1.3,
+  centrifuge: 2,
+  cerebellum: 2.4,
+  ceremonial: 3.1,
+  ceremonies: 3.3,
+  certifying: 2.1,
+  chairwoman: 2.3,
+  chalkboard: 2.4,
+  challenged: 3.6,
+  challenger: 3.2,
+  challenges: 3.3,
+  chameleons: 1.3,
+  champagnes: 2.1,
+  championed: 1.9,
+  chancellor: 3.6,
+  chanceries: 1.3,
+  chandelier: 3.1,
+  changeable: 2.4,
+  changeling: 2.3,
+  changeover: 2.5,
+  channeling: 2.7,
+  chaperoned: 2.2,
+  characters: 4,
+  charbroils: 1.3,
+  charioteer: 1.6,
+  charitable: 3.3,
+  charitably: 2,
+  charlatans: 2.4,
+  charmingly: 2.5,
+  chartering: 1.8,
+  chartreuse: 2.7,
+  chastising: 1.8,
+  chatterbox: 2.7,
+  chatterers: 1.6,
+  chattering: 3.6,
+  chauffeurs: 2.4,
+  chauvinism: 2.4,
+  chauvinist: 2.8,
+  cheapskate: 2.7,
+  checkbooks: 2.2,
+  checklists: 1.3,
+  checkpoint: 3.3,
+  cheekbones: 2.8,
+  cheekiness: 1.3,
+  cheerfully: 2.7,
+  cheesecake: 3.4,
+  chemically: 3,
+  cherishing: 2.1,
+  chessboard: 2.5,
+  chickadees: 1.8,
+  chickening: 2.5,
+  chickenpox: 2.7,
+  chieftains: 2.1,
+  chilblains: 1.6,
+  childbirth: 3.2,
+  childhoods: 2.2,
+  childishly: 1.9,
+  childproof: 2.3,
+  chilliness: 1.3,
+  chimpanzee: 3.1,
+  chinchilla: 2.7,
+  chinstraps: 1.3,
+  chirruping: 2.1,
+  chivalrous: 2.5,
+  chlorinate: 1.6,
+  chloroform: 3,
+  chocolates: 3.5,
+  choppering: 1.3,
+  chopsticks: 3.3,
+  christened: 2.8,
+  chromosome: 2.9,
+  chronicled: 2.1,
+  chronicler: 2.3,
+  chronicles: 2.4,
+  chronology: 2.3,
+  churchgoer: 2.4,
+  churchyard: 2.5,
+  cigarettes: 4.2,
+  circuiting: 1.3,
+  circuitous: 1.6,
+  circulated: 2.7,
+  circulates: 2.3,
+  circumcise: 1.9,
+  circumvent: 2.7,
+  civilities: 1.3,
+  civilizing: 2,
+  clarifying: 2.2,
+  classicist: 2,
+  classified: 3.8,
+  classifies: 2.1,
+  classmates: 3.4,
+  classrooms: 2.8,
+  clattering: 3.2,
+  clavichord: 1.3,
+  clearances: 2.6,
+  cleverness: 2.7,
+  clinically: 2.9,
+  clinicians: 1.8,
+  clipboards: 1.3,
+  clobbering: 2.1,
+  clodhopper: 1.3,
+  cloistered: 2.2,
+  clothespin: 2.5,
+  cloudburst: 1.6,
+  cloudiness: 1.9,
+  cloverleaf: 2.3,
+  clownishly: 1.3,
+  clubhouses: 1.6,
+  clumsiness: 2.5,
+  clustering: 1.6,
+  cluttering: 2.3,
+  coagulated: 1.6,
+  coagulates: 1.6,
+  coalescing: 1.3,
+  coalitions: 1.8,
+  coarseness: 1.3,
+  coastlines: 1.9,
+  coauthored: 1.3,
+  cockamamie: 2.8,
+  cockfights: 2,
+  cocksucker: 3.9,
+  coexisting: 2,
+  coffeecake: 2,
+  coffeepots: 1.3,
+  cogitating: 1.3,
+  cogitation: 1.3,
+  cognizance: 1.3,
+  cohabiting: 1.3,
+  coherently: 2.1,
+  coincident: 2.3,
+  coinciding: 1.8,
+  collapsing: 3.1,
+  collarbone: 2.9,
+  collateral: 3.5,
+  collations: 1.3,
+  colleagues: 3.8,
+  collecting: 3.8,
+  collection: 4.3,
+  collective: 3.4,
+  collectors: 3.2,
+  collegiate: 2.7,
+  collieries: 1.6,
+  collisions: 2.2,
+  colloquial: 1.8,
+  colloquium: 1.3,
+  colonizers: 1.6,
+  colonizing: 1.9,
+  coloration: 2.3,
+  coloratura: 1.6,
+  colorblind: 2.5,
+  colorfully: 2,
+  colossally: 1.9,
+  columbines: 1.3,
+  columnists: 2.5,
+  combatants: 2.4,
+  combustion: 3.1,
+  comedienne: 2.1,
+  comforters: 2.2,
+  comforting: 3.6,
+  commandant: 3.4,
+  commandeer: 2.7,
+  commanders: 3.2,
+  commanding: 3.8,
+  commencing: 3.1,
+  commending: 1.6,
+  commentary: 3.2,
+  commentate: 1.3,
+  commenting: 2.6,
+  commercial: 4.2,
+  commingled: 2.1,
+  commissars: 2.3,
+  commissary: 2.8,
+  commission: 4.1,
+  commitment: 4,
+  committees: 3,
+  committing: 3.7,
+  commodious: 1.3,
+  commodores: 2.3,
+  communally: 1.6,
+  communique: 2.2,
+  communists: 3.7,
+  companions: 3.4,
+  comparable: 2.7,
+  comparison: 3.6,
+  compassion: 3.8,
+  compatible: 3.4,
+  compatibly: 1.3,
+  compatriot: 1.9,
+  compelling: 3.3,
+  compendium: 2.4,
+  compensate: 3.4,
+  competence: 2.9,
+  competency: 2.4,
+  competitor: 3.1,
+  complacent: 2.6,
+  complained: 3.5,
+  complainer: 2,
+  complaints: 3.8,
+  complement: 2.9,
+  completely: 4.9,
+  completing: 2.9,
+  completion: 3.2,
+  complexion: 3.3,
+  complexity: 2.9,
+  compliance: 3,
+  complicate: 3.2,
+  complicity: 2.6,
+  compliment: 4,
+  components: 3.2,
+  comporting: 1.6,
+  composites: 1.3,
+  compounded: 2.6,
+  comprehend: 3.3,
+  compressed: 3,
+  compresses: 2.5,
+  compressor: 2.7,
+  comprising: 1.9,
+  compromise: 3.8,
+  compulsion: 3.1,
+  compulsive: 3.3,
+  compulsory: 2.9,
+  concealing: 3,
+  conceiving: 2.4,
+  concentric: 2.4,
+  conception: 3.3,
+  conceptual: 2.4,
+  concerning: 3.7,
+  concertina: 2.1,
+  concession: 3.1,
+  concluding: 2.5,
+  conclusion: 4,
+  conclusive: 3.1,
+  concocting: 2.4,
+  concoction: 2.6,
+  concretely: 1.3,
+  concubines: 2.7,
+  concurrent: 2.3,
+  concussion: 3.7,
+  condemning: 3,
+  condensers: 2.2,
+  condensing: 2,
+  condescend: 2.5,
+  condiments: 2.8,
+  conditions: 4.1,
+  condolence: 2.5,
+  conducting: 3.6,
+  conduction: 2.1,
+  conductive: 2.4,
+  conductors: 2.3,
+  confection: 2.2,
+  conference: 4.4,
+  conferring: 2.5,
+  confessing: 3.2,
+  confession: 4.2,
+  confidante: 2.7,
+  confidants: 1.8,
+  confidence: 4.3,
+  configured: 2.2,
+  confirming: 3.2,
+  confiscate: 3,
+  conflicted: 3,
+  confluence: 2.3,
+  conforming: 2.3,
+  conformist: 2.1,
+  conformity: 2.6,
+  confounded: 3,
+  confronted: 3.4,
+  confusions: 1.8,
+  congenital: 2.7,
+  congestion: 2.7,
+  congestive: 2.4,
+  congregate: 2.5,
+  conjecture: 2.9,
+  conjugated: 1.6,
+  conjugates: 1.3,
+  connecting: 3.5,
+  connection: 4.4,
+  connective: 1.6,
+  connivance: 1.3,
+  conquering: 3,
+  conquerors: 2.6,
+  conscience: 4.1,
+  conscripts: 2.1,
+  consecrate: 2.2,
+  consensual: 2.9,
+  consenting: 2.7,
+  consequent: 2,
+  conserving: 2.2,
+  considered: 4.4,
+  consigning: 1.8,
+  consistent: 3.8,
+  consisting: 2.5,
+  consonants: 2.3,
+  consorting: 2.7,
+  consortium: 2.8,
+  conspiracy: 4,
+  conspiring: 3,
+  constables: 2.2,
+  constantly: 3.9,
+  constitute: 2.9,
+  constrains: 1.8,
+  constraint: 1.6,
+  constricts: 1.9,
+  constructs: 2.2,
+  consulates: 2.1,
+  consultant: 3.6,
+  consulting: 3.5,
+  consummate: 3,
+  contacting: 3.2,
+  contagions: 1.3,
+  contagious: 3.5,
+  containers: 3.2,
+  containing: 3.4,
+  contenders: 2.5,
+  contending: 1.9,
+  contention: 2.9,
+  contestant: 3.4,
+  contesting: 2.4,
+  contextual: 1.6,
+  contiguous: 1.8,
+  continents: 3.2,
+  contingent: 3,
+  continuing: 3.6,
+  continuity: 2.8,
+  continuous: 3.3,
+  contorting: 1.3,
+  contortion: 1.9,
+  contouring: 1.6,
+  contraband: 3,
+  contracted: 3.3,
+  contractor: 3.5,
+  contradict: 3.1,
+  contraries: 1.3,
+  contrasted: 1.6,
+  contravene: 1.3,
+  contribute: 3.6,
+  contritely: 1.3,
+  contrition: 2.8,
+  contriving: 1.6,
+  controlled: 3.8,
+  controller: 3.1,
+  contusions: 3.1,
+  conundrums: 1.6,
+  convalesce: 1.8,
+  convection: 1.9,
+  convenient: 3.9,
+  convention: 4.1,
+  convergent: 1.6,
+  converging: 2.6,
+  conversant: 2.1,
+  conversely: 2.2,
+  conversing: 2.7,
+  conversion: 3.1,
+  converters: 2.4,
+  converting: 2.9,
+  conveyance: 2.3,
+  convicting: 2.6,
+  conviction: 3.8,
+  convincing: 3.8,
+  convoluted: 2.4,
+  convulsing: 2.3,
+  convulsion: 2.3,
+  cooperated: 2.8,
+  cooperates: 2.5,
+  coordinate: 3.4,
+  copperhead: 2.1,
+  copulating: 2.1,
+  copulation: 2.2,
+  copycatted: 1.3,
+  copyrights: 1.3,
+  copywriter: 2.2,
+  coquettish: 1.3,
+  cordiality: 1.6,
+  corkscrews: 1.8,
+  cormorants: 1.3,
+  cornflakes: 2.7,
+  cornflower: 1.8,
+  cornstalks: 1.3,
+  cornstarch: 2.2,
+  cornucopia: 2.5,
+  coronaries: 1.9,
+  coronation: 3.3,
+  corpuscles: 2.6,
+  corralling: 1.8,
+  correcting: 2.9,
+  correction: 3.5,
+  corrective: 2.7,
+  correlated: 1.8,
+  correlates: 1.8,
+  correspond: 3,
+  corrosives: 1.6,
+  corrugated: 2.3,
+  corrupting: 2.9,
+  corruption: 3.6,
+  cosmically: 2.2,
+  cosmonauts: 2.3,
+  cotillions: 1.8,
+  cottontail: 2.2,
+  cottonwood: 2.5,
+  councilman: 3.1,
+  councilmen: 2.3,
+  councilors: 1.3,
+  counseling: 3.6,
+  counselors: 3.2,
+  counteract: 2.7,
+  countering: 1.8,
+  countesses: 2,
+  countryman: 2.4,
+  countrymen: 3.2,
+  courageous: 3.5,
+  courtesans: 2.2,
+  courtesies: 2.3,
+  courthouse: 3.6,
+  courtrooms: 2.3,
+  courtships: 1.8,
+  cowpuncher: 1.6,
+  crabbiness: 1.6,
+  crackdowns: 1.3,
+  crankiness: 2,
+  crankshaft: 2.1,
+  crawlspace: 2.4,
+  creatively: 2.7,
+  creativity: 3.3,
+  credential: 2,
+  creditable: 2,
+  crematoria: 2.2,
+  crescendos: 1.6,
+  criminally: 2.9,
+  crisscross: 2.2,
+  critically: 2.8,
+  criticisms: 2.5,
+  criticized: 2.8,
+  criticizes: 2.4,
+  critiquing: 2,
+  crocheting: 2,
+  crocodiles: 2.8,
+  croissants: 2.8,
+  crookedest: 1.8,
+  croquettes: 1.3,
+  crossbones: 2,
+  crossbreed: 1.6,
+  crosscheck: 1.9,
+  crossovers: 1.3,
+  crossroads: 3.3,
+  crosswalks: 1.6,
+  crosswords: 2.4,
+  crucifixes: 2.5,
+  crucifying: 2.5,
+  crustacean: 2.4,
+  cryogenics: 2.2,
+  cryptogram: 1.3,
+  cubbyholes: 1.3,
+  culminated: 2,
+  culminates: 2.1,
+  cultivated: 2.8,
+  cultivates: 1.8,
+  cultivator: 2,
+  culturally: 2.8,
+  cumbersome: 2.5,
+  cummerbund: 2.2,
+  cumulative: 2.3,
+  cunningest: 1.3,
+  curmudgeon: 2.2,
+  currencies: 1.8,
+  curriculum: 3.1,
+  curvaceous: 2.1,
+  curvatures: 1.6,
+  custodians: 1.9,
+  customized: 2.8,
+  cutthroats: 2.8,
+  cuttlefish: 2.3,
+  cybernetic: 2.5,
+  cyberspace: 2.7,
+  dachshunds: 1.8,
+  daintiness: 1.8,
+  dalliances: 2,
+  dalmatians: 2.3,
+  dandelions: 2.4,
+  daredevils: 2,
+  dashboards: 1.6,
+  davenports: 1.8,
+  daydreamed: 1.8,
+  daydreamer: 1.9,
+  deactivate: 3.1,
+  deadliness: 1.3,
+  deadlocked: 2.1,
+  dealership: 3.1,
+  debasement: 2.2,
+  debauchery: 2.7,
+  debauching: 1.6,
+  debentures: 1.8,
+  debriefing: 3,
+  decapitate: 2.6,
+  decathlons: 1.6,
+  decelerate: 1.9,
+  deceptions: 2.4,
+  decimating: 2.1,
+  decimation: 1.9,
+  deciphered: 2.4,
+  decisively: 2.1,
+  declension: 1.6,
+  decomposed: 2.7,
+  decomposes: 1.9,
+  decompress: 2.7,
+  decorating: 3.3,
+  decoration: 3.3,
+  decorative: 2.9,
+  decorators: 2.4,
+  decreasing: 2.7,
+  decryption: 2.8,
+  dedicating: 2.5,
+  dedication: 3.5,
+  deductible: 3,
+  deductions: 2.8,
+  deescalate: 1.3,
+  defacement: 1.3,
+  defamation: 2.8,
+  defamatory: 1.8,
+  defaulters: 1.3,
+  defaulting: 1.8,
+  defecating: 1.9,
+  defecation: 1.8,
+  defections: 1.6,
+  defectives: 1.9,
+  defendants: 3.4,
+  defensible: 2.4,
+  deficiency: 3,
+  defilement: 1.3,
+  definitely: 4.9,
+  definition: 3.8,
+  definitive: 3.3,
+  deflecting: 2.2,
+  deflection: 2.5,
+  deflectors: 2.2,
+  defoliants: 1.6,
+  defrauding: 2.2,
+  defrosting: 2.2,
+  degeneracy: 1.8,
+  degenerate: 3.3,
+  dehydrated: 3.3,
+  dehydrates: 1.3,
+  delectable: 2.6,
+  delegating: 1.9,
+  delegation: 3.1,
+  deliberate: 3.5,
+  delicacies: 2.4,
+  delicately: 3,
+  delightful: 4,
+  delighting: 2,
+  delineated: 1.6,
+  delinquent: 3.1,
+  deliverers: 1.3,
+  deliveries: 3.3,
+  delivering: 3.7,
+  delphinium: 1.6,
+  demagogues: 1.3,
+  demarcated: 1.3,
+  dementedly: 1.3,
+  democratic: 3.6,
+  demolished: 3,
+  demolishes: 1.6,
+  demolition: 3.5,
+  demoniacal: 1.3,
+  demoralize: 1.8,
+  denigrated: 1.3,
+  denigrates: 1.8,
+  denouement: 2.2,
+  denouncing: 2.4,
+  dentifrice: 1.6,
+  deodorants: 1.8,
+  deodorizer: 1.6,
+  department: 4.8,
+  departures: 2.5,
+  dependable: 3.2,
+  dependence: 2.6,
+  dependency: 2.7,
+  dependents: 2.3,
+  depictions: 1.6,
+  depilatory: 2.2,
+  deplorable: 3,
+  deplorably: 1.3,
+  deployment: 3.1,
+  depopulate: 1.8,
+  deportment: 2.4,
+  depositing: 2.3,
+  deposition: 3.5,
+  depositors: 2.6,
+  depository: 3,
+  depreciate: 2.2,
+  depressant: 2,
+  depressing: 3.8,
+  depression: 3.9,
+  depressive: 2.6,
+  deputation: 1.8,
+  derailment: 2.3,
+  deregulate: 1.3,
+  derivation: 2.4,
+  derivative: 2.9,
+  dermatitis: 1.9,
+  derogatory: 2.8,
+  derringers: 1.3,
+  descendant: 3,
+  descending: 3.2,
+  describing: 3.4,
+  descriptor: 1.3,
+  desecrated: 2.5,
+  desecrates: 1.6,
+  desertions: 1.8,
+  deservedly: 2.1,
+  desiccated: 2.4,
+  desiderata: 1.6,
+  designated: 3.4,
+  designates: 1.9,
+  desolately: 1.3,
+  desolation: 2.8,
+  despairing: 2.3,
+  despicable: 3.3,
+  despoiling: 1.3,
+  despondent: 2.7,
+  destroyers: 3,
+  destroying: 3.9,
+  destructed: 1.6,
+  detachable: 2.2,
+  detachment: 3.1,
+  detainment: 2.1,
+  detectable: 2.4,
+  detectives: 3.8,
+  detentions: 1.8,
+  detergents: 1.8,
+  determined: 4.1,
+  determines: 3,
+  deterrence: 1.6,
+  deterrents: 1.3,
+  detestable: 2.3,
+  detonating: 2.6,
+  detonation: 3.3,
+  detonators: 2.9,
+  detoxified: 1.3,
+  detractors: 2.1,
+  detriments: 2,
+  devastated: 3.6,
+  devastates: 2.1,
+  developers: 2.7,
+  developing: 3.7,
+  deviations: 2.1,
+  devilishly: 2.4,
+  devolution: 1.3,
+  devotional: 1.6,
+  devoutness: 1.3,
+  diabolical: 3,
+  diagnosing: 2.3,
+  diagnostic: 3.1,
+  diagonally: 2.1,
+  diagrammed: 1.6,
+  diaphanous: 2,
+  diaphragms: 1.6,
+  dictations: 2.1,
+  dictionary: 3.6,
+  difference: 4.9,
+  difficulty: 3.7,
+  digestible: 1.9,
+  digestions: 1.3,
+  digitizing: 1.6,
+  dignifying: 1.9,
+  digressing: 1.8,
+  digression: 1.8,
+  dilettante: 2.4,
+  diligently: 2.5,
+  dillydally: 1.6,
+  dimensions: 3.4,
+  diminished: 3.1,
+  diminishes: 2.1,
+  diminuendo: 1.3,
+  diminution: 1.6,
+  diminutive: 2.6,
+  diphtheria: 2.8,
+  diphthongs: 1.6,
+  diplomatic: 3.7,
+  dipsomania: 1.6,
+  directions: 4,
+  directives: 2.6,
+  directness: 2.4,
+  disability: 3.3,
+  disallowed: 2.4,
+  disappears: 3.7,
+  disappoint: 3.9,
+  disapprove: 3.1,
+  disarrange: 1.3,
+  disastrous: 3.2,
+  disavowing: 1.3,
+  disbanding: 2.1,
+  disbarment: 2.1,
+  disbelieve: 2.2,
+  disbursing: 1.6,
+  discarding: 1.8,
+  discerning: 2.8,
+  discharged: 3.6,
+  discharges: 2.3,
+  discipline: 4,
+  disclaimer: 1.9,
+  disclosing: 2.3,
+  disclosure: 3,
+  discolored: 2.1,
+  discomfort: 3.2,
+  disconnect: 3.3,
+  discontent: 3,
+  discordant: 2.5,
+  discounted: 2.1,
+  discourage: 3.1,
+  discourses: 1.9,
+  discovered: 4.5,
+  discoverer: 2.3,
+  discredits: 1.3,
+  discreetly: 2.9,
+  discretion: 3.6,
+  discussing: 4,
+  discussion: 4.1,
+  disdainful: 1.8,
+  disdaining: 1.3,
+  disembowel: 2,
+  disengaged: 2.6,
+  disfigured: 2.8,
+  disfigures: 1.6,
+  disgorging: 1.3,
+  disgracing: 2.4,
+  disguising: 2.5,
+  disgusting: 4.4,
+  disharmony: 1.9,
+  dishcloths: 1.3,
+  dishearten: 1.3,
+  disheveled: 2.2,
+  dishonesty: 2.8,
+  dishonored: 2.6,
+  dishtowels: 1.8,
+  dishwasher: 3.3,
+  disinfects: 1.8,
+  disinherit: 2.4,
+  disjointed: 2.2,
+  dislocated: 3.2,
+  dislocates: 1.3,
+  dislodging: 1.3,
+  disloyalty: 2.7,
+  dismantled: 2.7,
+  dismantles: 1.6,
+  dismissing: 2.7,
+  dismissive: 2.7,
+  dismounted: 2.1,
+  disobeying: 2.8,
+  disordered: 2.1,
+  disorderly: 3.1,
+  disorients: 1.3,
+  disparaged: 2.5,
+  disparages: 1.3,
+  dispatched: 3.2,
+  dispatcher: 3.2,
+  dispatches: 2.9,
+  dispelling: 1.3,
+  dispensary: 2.6,
+  dispensers: 2,
+  dispensing: 2.5,
+  dispersing: 2.3,
+  dispersion: 1.8,
+  dispirited: 1.6,
+  displacing: 2,
+  displaying: 2.8,
+  displeased: 2.9,
+  displeases: 1.9,
+  disposable: 3.3,
+  dispossess: 1.9,
+  disproving: 1.8,
+  disqualify: 2.8,
+  disregards: 1.6,
+  disrespect: 3.7,
+  disrupting: 3.1,
+  disruption: 3,
+  disruptive: 2.6,
+  dissecting: 2.7,
+  dissection: 2.9,
+  dissembled: 1.6,
+  dissension: 2.4,
+  dissenters: 1.9,
+  dissenting: 2.3,
+  disservice: 2.5,
+  dissidents: 2.1,
+  dissimilar: 2.4,
+  dissipated: 2.5,
+  dissipates: 1.6,
+  dissociate: 1.6,
+  dissolving: 2.5,
+  dissonance: 1.8,
+  dissuading: 1.3,
+  distancing: 2.2,
+  distending: 1.8,
+  distension: 2,
+  distention: 1.9,
+  distillate: 1.3,
+  distillers: 1.6,
+  distillery: 2.4,
+  distilling: 2.1,
+  distinctly: 3.3,
+  distorting: 2.4,
+  distortion: 3.1,
+  distracted: 3.9,
+  distraught: 3.2,
+  distressed: 3.1,
+  distresses: 2,
+  distribute: 3.2,
+  distrusted: 1.6,
+  disturbing: 4,
+  divergence: 1.8,
+  diversions: 2.8,
+  divination: 2,
+  divinities: 1.8,
+  divisional: 2.5,
+  doctorates: 2.1,
+  documented: 3.2,
+  dogcatcher: 2.5,
+  dollhouses: 1.8,
+  dominating: 2.8,
+  domination: 3.2,
+  doohickeys: 1.8,
+  doubtfully: 1.3,
+  dovetailed: 1.3,
+  downgraded: 2.2,
+  downgrades: 1.6,
+  downloaded: 3.2,
+  downplayed: 1.8,
+  downsizing: 2.4,
+  downstairs: 4.6,
+  downstream: 3.1,
+  drainpipes: 1.6,
+  dramatists: 1.6,
+  dramatized: 1.9,
+  drawbridge: 2.7,
+  drawstring: 1.8,
+  dreadfully: 3.1,
+  dreadlocks: 2.4,
+  dressmaker: 2.7,
+  drolleries: 1.3,
+  drowsiness: 2,
+  drugstores: 2.5,
+  drumsticks: 2.5,
+  dumbwaiter: 2.5,
+  duplicated: 2.9,
+  duplicates: 2.8,
+  duplicator: 1.3,
+  durability: 2.3,
+  dynamiting: 1.9,
+  earthlings: 2.8,
+  earthquake: 3.8,
+  earthworms: 2.3,
+  easterners: 2.2,
+  eccentrics: 1.8,
+  ecological: 2.7,
+  economical: 2.5,
+  economists: 2.1,
+  ecosystems: 2.2,
+  ecumenical: 2.2,
+  editorials: 2.7,
+  editorship: 1.3,
+  educations: 2.1,
+  effacement: 1.3,
+  effeminacy: 1.3,
+  effeminate: 2.5,
+  effervesce: 1.3,
+  efficiency: 3.4,
+  effortless: 2.6,
+  effrontery: 2.6,
+  effulgence: 1.3,
+  effusively: 1.3,
+  eggbeaters: 1.8,
+  egocentric: 2.4,
+  eigenvalue: 1.3,
+  eighteenth: 2.7,
+  ejaculated: 2.2,
+  ejaculates: 2,
+  elaborated: 2,
+  elaborates: 1.8,
+  elasticity: 2.5,
+  elderberry: 2.4,
+  electorate: 2.2,
+  electrical: 3.9,
+  electrodes: 2.7,
+  electronic: 3.8,
+  elementary: 3.7,
+  elevations: 2.1,
+  eliminated: 3.5,
+  eliminates: 2.9,
+  elliptical: 2.4,
+  elongating: 1.3,
+  elongation: 1.6,
+  elopements: 1.3,
+  eloquently: 2.6,
+  emanations: 2.4,
+  emancipate: 2.2,
+  emasculate: 2.2,
+  embankment: 2.7,
+  embargoing: 1.3,
+  embezzlers: 1.6,
+  embezzling: 2.7,
+  embittered: 2.3,
+  emblazoned: 2,
+  emblematic: 1.9,
+  embodiment: 2.8,
+  emboldened: 2.1,
+  embroiders: 2.1,
+  embroidery: 2.7,
+  embryology: 1.3,
+  emigrating: 2.3,
+  emigration: 2.4,
+  emissaries: 2.3,
+  empathetic: 2.3,
+  empathized: 1.3,
+  emphasized: 2.3,
+  emphasizes: 2.1,
+  empiricism: 1.3,
+  employable: 1.6,
+  employment: 3.7,
+  empowering: 2.6,
+  emulsified: 1.6,
+  enactments: 1.3,
+  encampment: 2.5,
+  enchanting: 3.3,
+  enchiladas: 2.5,
+  encircling: 2.1,
+  enclosures: 1.8,
+  encounters: 3.2,
+  encouraged: 3.5,
+  encourages: 2.8,
+  encroaches: 1.6,
+  encryption: 3.2,
+  encumbered: 2.1,
+  endangered: 3.4,
+  endearment: 2.4,
+  endeavored: 2.1,
+  endowments: 2.1,
+  energizers: 1.3,
+  energizing: 1.8,
+  engagement: 4.1,
+  engendered: 1.3,
+  engineered: 3.2,
+  engravings: 2.5,
+  engrossing: 2.1,
+  enjoyments: 1.3,
+  enlightens: 1.6,
+  enlistment: 2.5,
+  enormously: 3,
+  enraptured: 2.2,
+  enrichment: 2.1,
+  enrollment: 2.7,
+  enshrouded: 1.6,
+  enterprise: 3.9,
+  entertains: 2.4,
+  enthralled: 2.2,
+  enthusiasm: 3.7,
+  enthusiast: 2.8,
+  enticement: 1.9,
+  entombment: 1.8,
+  entomology: 2.4,
+  entrancing: 2.4,
+  entrapment: 2.9,
+  entrapping: 1.3,
+  entreaties: 1.3,
+  entrenched: 2.2,
+  entrusting: 2.3,
+  enumerated: 1.3,
+  enunciated: 1.3,
+  enunciates: 1.3,
+  enveloping: 1.9,
+  envisaging: 1.3,
+  envisioned: 2.7,
+  epicureans: 1.3,
+  epiglottis: 2.1,
+  epileptics: 1.3,
+  epitomized: 1.3,
+  epitomizes: 1.8,
+  equalizing: 1.9,
+  equanimity: 1.8,
+  equatorial: 2.5,
+  equestrian: 2.6,
+  equivalent: 3.4,
+  equivocate: 2,
+  eradicated: 2.5,
+  erotically: 1.8,
+  escalating: 2.8,
+  escalation: 2.6,
+  escalators: 2.2,
+  escarpment: 2.6,
+  escutcheon: 1.8,
+  espadrille: 1.3,
+  especially: 4.8,
+  essentials: 2.9,
+  estimating: 2.5,
+  estimation: 2.7,
+  eternities: 1.6,
+  ethnically: 2,
+  eucalyptus: 2.7,
+  eulogizing: 1.6,
+  euphemisms: 2.4,
+  euthanasia: 2.7,
+  evacuating: 3.1,
+  evacuation: 3.5,
+  evaluating: 2.6,
+  evaluation: 3.6,
+  evangelism: 1.9,
+  evangelist: 2.1,
+  evaporated: 2.7,
+  evaporates: 2.2,
+  evenhanded: 1.3,
+  eventually: 4.4,
+  everglades: 2.8,
+  evergreens: 1.6,
+  everyplace: 2.6,
+  everything: 5.8,
+  everywhere: 4.7,
+  eviscerate: 2.3,
+  exacerbate: 2.1,
+  exactingly: 1.3,
+  exactitude: 1.3,
+  exaggerate: 3.3,
+  exaltation: 1.8,
+  exasperate: 1.6,
+  excavating: 2.3,
+  excavation: 2.8,
+  excavators: 1.3,
+  excellence: 3.4,
+  exceptions: 3.5,
+  exchanging: 3,
+  excitation: 1.8,
+  excitement: 4.1,
+  excitingly: 1.8,
+  exclaiming: 2.1,
+  exclusives: 2,
+  excoriated: 1.3,
+  excoriates: 1.6,
+  excretions: 1.6,
+  excursions: 2.2,
+  executable: 1.3,
+  executions: 3,
+  executives: 3.4,
+  exemptions: 2.1,
+  exercising: 3.2,
+  exhalation: 1.8,
+  exhausting: 3.3,
+  exhaustion: 3.2,
+  exhaustive: 2.7,
+  exhibiting: 2.7,
+  exhibition: 3.6,
+  exhibitors: 2.1,
+  exhilarate: 1.6,
+  exhumation: 2.6,
+  exigencies: 1.3,
+  existences: 1.6,
+  exonerated: 2.6,
+  exonerates: 1.8,
+  exorbitant: 2.5,
+  exorcising: 2.3,
+  exotically: 1.3,
+  expandable: 2,
+  expansions: 1.3,
+  expatriate: 2.2,
+  expectancy: 2.8,
+  expedience: 2.1,
+  expediency: 2.3,
+  expediting: 1.8,
+  expedition: 3.8,
+  expendable: 3.2,
+  experience: 4.8,
+  experiment: 4.2,
+  expiration: 3,
+  explaining: 3.8,
+  expletives: 1.8,
+  explicable: 1.3,
+  explicitly: 2.5,
+  exploiters: 1.8,
+  exploiting: 3.1,
+  explosions: 3.5,
+  explosives: 3.8,
+  exposition: 2.9,
+  expounding: 1.6,
+  expressing: 3.4,
+  expression: 4.1,
+  expressive: 2.7,
+  expressway: 3,
+  extendable: 1.3,
+  extensions: 2.7,
+  externally: 2.3,
+  extinction: 3.2,
+  extinguish: 2.9,
+  extracting: 2.6,
+  extraction: 3.4,
+  extradited: 2.6,
+  extraneous: 2.5,
+  extremists: 2.6,
+  extroverts: 1.6,
+  exuberance: 2.5,
+  exultation: 2.1,
+  eyeballing: 2.7,
+  eyeglasses: 2.8,
+  eyewitness: 3.6,
+  fabricated: 2.8,
+  fabricates: 1.6,
+  fabulously: 2.5,
+  facilitate: 3,
+  facilities: 3.7,
+  facsimiles: 1.6,
+  factitious: 1.3,
+  fairground: 2.3,
+  faithfully: 3.2,
+  fallacious: 1.3,
+  falsehoods: 2.2,
+  falsifying: 2.5,
+  fanaticism: 2.1,
+  fancifully: 1.3,
+  fantasized: 2.8,
+  fantasizes: 2,
+  farmhouses: 2,
+  farsighted: 2.1,
+  fascinated: 3.5,
+  fascinates: 2.8,
+  fashioning: 1.3,
+  fastenings: 1.3,
+  fastidious: 2.6,
+  fatalistic: 1.9,
+  fatalities: 2.8,
+  fatherhood: 2.7,
+  fatherland: 2.9,
+  fatherless: 2.5,
+  favoritism: 2.6,
+  fearlessly: 2.2,
+  feathering: 1.8,
+  federation: 3.6,
+  felicitous: 1.9,
+  fellowship: 3.5,
+  femininity: 2.6,
+  fermenting: 2.1,
+  ferryboats: 1.6,
+  fertilized: 2.5,
+  fertilizer: 3.3,
+  fertilizes: 1.9,
+  fetchingly: 1.3,
+  fetishists: 1.8,
+  feverishly: 1.8,
+  fiberglass: 2.7,
+  fictitious: 2.8,
+  fiendishly: 2.4,
+  fierceness: 1.6,
+  figurative: 1.9,
+  figurehead: 2.4,
+  filibuster: 2.3,
+  filmmakers: 2.8,
+  filthiness: 2.2,
+  filtration: 2.7,
+  finalizing: 1.9,
+  financiers: 2.1,
+  fingernail: 3.1,
+  fingertips: 3.2,
+  firebombed: 2,
+  firebreaks: 1.3,
+  firefights: 1.8,
+  firehouses: 1.9,
+  fireplaces: 2.5,
+  firstborns: 1.3,
+  fisticuffs: 2.2,
+  flagellate: 1.6,
+  flagrantly: 1.9,
+  flagstones: 1.6,
+  flamboyant: 2.7,
+  flashbacks: 2.8,
+  flashbulbs: 2.5,
+  flashiness: 1.6,
+  flashlight: 3.8,
+  flatfooted: 2,
+  flattening: 2.3,
+  flatterers: 1.3,
+  flattering: 3.6,
+  flatulence: 2.7,
+  flavorings: 2,
+  flavorless: 1.8,
+  flawlessly: 2.3,
+  fleetingly: 1.3,
+  flickering: 2.8,
+  flightless: 2.1,
+  flippantly: 1.3,
+  flirtation: 2.8,
+  floodgates: 2.4,
+  floodlight: 2,
+  floorboard: 2.4,
+  flophouses: 1.8,
+  floundered: 1.3,
+  flourished: 2.3,
+  flourishes: 2.1,
+  flowerbeds: 1.3,
+  flowerpots: 2,
+  fluctuates: 2.2,
+  fluoresces: 1.6,
+  flustering: 1.3,
+  fluttering: 2.9,
+  flycatcher: 1.6,
+  flyspecked: 1.3,
+  flyswatter: 1.6,
+  followings: 1.3,
+  foodstuffs: 2.2,
+  footballer: 2.5,
+  footbridge: 2.1,
+  footlights: 2.3,
+  footlocker: 2.9,
+  footprints: 3.6,
+  forbearing: 1.3,
+  forbidding: 2.6,
+  forcefully: 2.2,
+  foreboding: 2.7,
+  forecastle: 2.1,
+  foreclosed: 2.4,
+  forecloses: 1.6,
+  forefather: 1.3,
+  forefinger: 2.4,
+  foreground: 2.6,
+  foreigners: 3.5,
+  forerunner: 1.9,
+  foreseeing: 1.3,
+  foreshadow: 2.1,
+  forewarned: 2.2,
+  forfeiting: 2.2,
+  forfeiture: 2.3,
+  forgetting: 4.1,
+  forgivable: 2.1,
+  formalized: 1.9,
+  formations: 2.8,
+  formatting: 1.6,
+  formidable: 3.2,
+  formidably: 1.3,
+  formulated: 2.5,
+  formulates: 1.8,
+  fornicated: 2,
+  fornicates: 1.8,
+  forthright: 2.8,
+  fortifying: 2,
+  fortissimo: 1.6,
+  fortresses: 2.3,
+  fortuitous: 2.6,
+  forwarding: 3,
+  fossilized: 2.3,
+  foundation: 4.2,
+  foundering: 2.2,
+  foursquare: 1.9,
+  fourteenth: 3,
+  fractional: 1.3,
+  fracturing: 2.2,
+  fragmented: 2.4,
+  fragrances: 1.9,
+  franchised: 1.9,
+  franchisee: 1.3,
+  franchises: 2.7,
+  fraternity: 3.5,
+  fraternize: 2.5,
+  fraudulent: 2.5,
+  freebasing: 2.1,
+  freelanced: 1.6,
+  freelancer: 2.9,
+  freelances: 1.6,
+  freeloader: 2.2,
+  freighters: 2.4,
+  freighting: 1.8,
+  frequented: 2.4,
+  frequenter: 1.6,
+  frequently: 3.5,
+  freshening: 2.5,
+  freshwater: 2.8,
+  fricasseed: 1.9,
+  friendless: 2.7,
+  friendlier: 2.6,
+  friendlies: 2.7,
+  friendship: 4.4,
+  frightened: 4.4,
+  fripperies: 1.3,
+  friskiness: 1.3,
+  frittering: 2.1,
+  frolicking: 2.4,
+  frolicsome: 1.3,
+  fruitcakes: 2,
+  frustrated: 3.7,
+  frustrates: 1.9,
+  fulfilling: 3.2,
+  fulminates: 1.3,
+  fumigating: 1.8,
+  fumigation: 2,
+  fumigators: 1.9,
+  functional: 3.4,
+  functioned: 2.5,
+  fungicidal: 1.3,
+  fungicides: 1.3,
+  furloughed: 1.3,
+  furnishing: 2.4,
+  furthering: 2.1,
+  fussbudget: 2,
+  futuristic: 2.5,
+  gallstones: 2.3,
+  galvanized: 2.4,
+  gamekeeper: 2.3,
+  gangplanks: 1.3,
+  gangrenous: 2.2,
+  gargantuan: 2.5,
+  garishness: 1.9,
+  garnishing: 1.6,
+  garrisoned: 1.6,
+  gastronomy: 1.3,
+  gatherings: 2.8,
+  gelatinous: 2.2,
+  generality: 1.9,
+  generalize: 1.9,
+  generating: 2.9,
+  generation: 4.1,
+  generative: 1.3,
+  generators: 3.2,
+  generosity: 3.5,
+  generously: 3,
+  geneticist: 2.6,
+  gentlefolk: 1.6,
+  gentleness: 2.5,
+  genuflects: 1.3,
+  geographer: 2,
+  geographic: 3.1,
+  geological: 2.9,
+  geologists: 2.6,
+  geophysics: 1.3,
+  geothermal: 2.2,
+  geriatrics: 2.2,
+  germicidal: 1.3,
+  germinated: 1.6,
+  germinates: 1.3,
+  gesundheit: 3.2,
+  ghastliest: 1.3,
+  ghostwrite: 1.3,
+  gingersnap: 1.3,
+  gingivitis: 2.3,
+  girlfriend: 4.9,
+  gladiators: 3,
+  glamorizes: 1.3,
+  glamouring: 1.3,
+  glimmering: 2,
+  glistening: 2.7,
+  glittering: 2.5,
+  glorifying: 2.4,
+  gloriously: 2.4,
+  gluttonous: 2.1,
+  goalkeeper: 2.5,
+  goaltender: 2,
+  godfathers: 2.4,
+  godmothers: 1.8,
+  godparents: 2.3,
+  goldbricks: 1.9,
+  goldsmiths: 1.3,
+  gooseberry: 2.4,
+  gorgeously: 1.8,
+  governance: 2,
+  government: 4.8,
+  gracefully: 3.1,
+  graciously: 3.1,
+  gradations: 1.8,
+  graduating: 3.4,
+  graduation: 4,
+  grammarian: 1.3,
+  gramophone: 2.5,
+  grandchild: 3.2,
+  grandstand: 2.8,
+  granulated: 1.6,
+  grapefruit: 3.4,
+  grapevines: 1.8,
+  graphology: 2,
+  gratefully: 2.5,
+  gratifying: 3,
+  gratuities: 2.1,
+  gratuitous: 2.5,
+  gravestone: 2.5,
+  graveyards: 2.6,
+  gravitated: 1.9,
+  graybeards: 1.3,
+  greasiness: 1.8,
+  greenbacks: 2.6,
+  greenhorns: 1.8,
+  greenhouse: 3.3,
+  gregarious: 1.6,
+  grenadiers: 2,
+  greyhounds: 2.3,
+  grievances: 2.9,
+  grievously: 2.1,
+  grindstone: 2.7,
+  groundhogs: 1.6,
+  groundings: 1.3,
+  groundless: 2.4,
+  groundwork: 2.7,
+  grubbiness: 1.3,
+  guaranteed: 3.8,
+  guarantees: 3.3,
+  guarantors: 1.6,
+  guardhouse: 2.8,
+  guardrails: 1.6,
+  guerrillas: 3.1,
+  guidebooks: 2.5,
+  guidelines: 3.2,
+  guillotine: 2.9,
+  guiltiness: 1.3,
+  guitarists: 2,
+  gunnysacks: 1.6,
+  gunrunners: 2.1,
+  gunrunning: 2.1,
+  gunslinger: 2.6,
+  gymnasiums: 1.9,
+  gymnastics: 3.2,
+  gynecology: 2.2,
+  habitation: 2.3,
+  habitually: 2.2,
+  habituated: 2.1,
+  hailstones: 1.9,
+  hairpieces: 1.6,
+  hairstyles: 2.2,
+  hallelujah: 4,
+  hamburgers: 3.4,
+  hammerhead: 2.7,
+  hamstrings: 1.8,
+  handcuffed: 3.2,
+  handedness: 1.8,
+  handicraft: 1.3,
+  handlebars: 2.7,
+  handmaiden: 2.3,
+  handpicked: 2.8,
+  handshakes: 2.4,
+  handsomely: 2.9,
+  handsomest: 2.9,
+  handspring: 2.2,
+  handstands: 1.8,
+  happenings: 2.6,
+  haranguing: 1.3,
+  harassment: 3.8,
+  harbingers: 2.1,
+  hardheaded: 2.7,
+  hardliners: 1.6,
+  harlequins: 1.3,
+  harmlessly: 1.9,
+  harmonicas: 1.9,
+  harmonious: 2.6,
+  harnessing: 2.3,
+  harpooning: 1.8,
+  harvesters: 1.6,
+  harvesting: 2.8,
+  hatcheries: 1.3,
+  hauntingly: 1.8,
+  haversacks: 1.3,
+  headhunter: 2.2,
+  headlights: 3.3,
+  headlining: 2.5,
+  headmaster: 3.3,
+  headphones: 3.2,
+  headstones: 2.3,
+  headstrong: 3,
+  headwaiter: 2.5,
+  headwaters: 2.2,
+  healthcare: 2.8,
+  healthiest: 2.7,
+  heartaches: 2.6,
+  heartbeats: 2.7,
+  heartbreak: 3.3,
+  heartening: 1.6,
+  heartlands: 1.3,
+  heartthrob: 2.6,
+  heatstroke: 2.2,
+  heavenward: 1.3,
+  hedonistic: 2,
+  heedlessly: 1.3,
+  heightened: 2.9,
+  helicopter: 4.2,
+  heliotrope: 1.8,
+  helplessly: 2.5,
+  hematology: 1.9,
+  hemisphere: 3.2,
+  hemoglobin: 2.7,
+  hemophilia: 1.6,
+  hemorrhage: 3.2,
+  hemorrhoid: 2.5,
+  henceforth: 3,
+  herbaceous: 1.3,
+  herbalists: 1.3,
+  herbicides: 2.1,
+  herbivores: 2.2,
+  hereabouts: 2.7,
+  hereditary: 3.1,
+  heretofore: 2.4,
+  heroically: 2.4,
+  hesitantly: 1.9,
+  hesitating: 2.6,
+  hesitation: 3.3,
+  heterodoxy: 1.3,
+  hibernated: 1.3,
+  hibernates: 1.3,
+  highchairs: 1.3,
+  highlights: 3.2,
+  hightailed: 2.3,
+  highwayman: 2.5,
+  highwaymen: 1.3,
+  hijackings: 2.1,
+  hindrances: 1.8,
+  hinterland: 1.6,
+  historians: 2.6,
+  historical: 3.7,
+  histrionic: 1.3,
+  hitchhiked: 2.6,
+  hitchhiker: 3,
+  hitchhikes: 1.6,
+  hoarseness: 2.1,
+  hobbyhorse: 1.8,
+  hobgoblins: 1.6,
+  hobnobbing: 2.3,
+  hodgepodge: 2.1,
+  holidaying: 1.6,
+  hollowness: 2,
+  hollyhocks: 2.1,
+  holocausts: 1.3,
+  holographs: 1.8,
+  holstering: 1.3,
+  homebodies: 1.6,
+  homecoming: 3.7,
+  homemakers: 1.8,
+  homeopathy: 1.6,
+  homeowners: 2.7,
+  homophobia: 2.4,
+  homophobic: 2.9,
+  homosexual: 3.7,
+  honeycombs: 1.3,
+  honeymoons: 2.4,
+  honorarium: 1.9,
+  hoodwinked: 2.5,
+  hopelessly: 3.2,
+  horizontal: 3.2,
+  horoscopes: 2.4,
+  horrendous: 3,
+  horrifying: 3.2,
+  horseflies: 1.3,
+  horsepower: 3.1,
+  horseshoes: 2.8,
+  horsewoman: 1.3,
+  hospitable: 2.9,
+  hostessing: 1.3,
+  houseboats: 1.6,
+  housebound: 1.3,
+  housebreak: 2.1,
+  housebroke: 2,
+  houseflies: 1.6,
+  households: 2.7,
+  housemaids: 1.8,
+  houseplant: 1.6,
+  housewares: 1.9,
+  housewives: 3.3,
+  hovercraft: 2.7,
+  hullabaloo: 2.5,
+  humaneness: 1.3,
+  humanistic: 1.6,
+  humanities: 2.1,
+  humanizing: 2,
+  humbleness: 1.6,
+  humidified: 1.6,
+  humidifier: 2.1,
+  humiliated: 3.8,
+  humiliates: 2.2,
+  humorously: 1.9,
+  humpbacked: 2.1,
+  hunchbacks: 1.8,
+  hundredths: 1.9,
+  hurricanes: 3,
+  hybridized: 1.3,
+  hydrangeas: 2.4,
+  hydraulics: 2.7,
+  hydroplane: 1.3,
+  hydroponic: 2.4,
+  hygienists: 2,
+  hyperbolic: 2.1,
+  hyperspace: 2.7,
+  hyphenated: 2.1,
+  hyphenates: 1.8,
+  hypnotized: 3.1,
+  hypnotizes: 1.6,
+  hypocrites: 3,
+  hypodermic: 2.8,
+  hypotenuse: 2.3,
+  hypotheses: 2.2,
+  hypothesis: 2.9,
+  hysterical: 3.9,
+  icebreaker: 2.6,
+  iconoclast: 1.3,
+  idealistic: 2.9,
+  idealizing: 1.3,
+  identified: 4,
+  identifier: 2.1,
+  identifies: 2.9,
+  identities: 3.2,
+  ideographs: 1.3,
+  ideologies: 2.3,
+  ignorantly: 1.3,
+  illegality: 1.9,
+  illiteracy: 2.1,
+  illiterate: 3,
+  illuminate: 2.9,
+  illustrate: 2.9,
+  imaginable: 3,
+  imbalanced: 2.1,
+  imbalances: 2.1,
+  imbecility: 1.9,
+  imitations: 2.8,
+  immaculate: 2.9,
+  immaterial: 2.9,
+  immaturity: 2.3,
+  immemorial: 1.9,
+  immigrants: 3.2,
+  immigrated: 2.5,
+  imminently: 1.9,
+  immobility: 1.6,
+  immobilize: 2.1,
+  immoderate: 2.1,
+  immodestly: 1.3,
+  immolation: 1.8,
+  immorality: 2.6,
+  immortally: 1.3,
+  immunizing: 1.6,
+  impairment: 2.3,
+  impalement: 2.1,
+  impassable: 2.5,
+  impatience: 2.8,
+  impeaching: 1.8,
+  impeccable: 3.2,
+  impeccably: 2.5,
+  impediment: 2.8,
+  imperative: 3.4,
+  impersonal: 2.9,
+  impervious: 2.8,
+  implacable: 2.2,
+  implacably: 1.3,
+  implanting: 2.2,
+  implements: 2.5,
+  implicated: 3.1,
+  implicates: 2.7,
+  implicitly: 2.7,
+  implosions: 1.9,
+  importance: 3.9,
+  imposition: 2.9,
+  impossible: 4.8,
+  impossibly: 2.6,
+  impounding: 2.2,
+  impoverish: 1.3,
+  impregnate: 2.6,
+  impresario: 2.4,
+  impressing: 2.6,
+  impression: 4.3,
+  impressive: 4.2,
+  imprimatur: 1.6,
+  imprinting: 2.4,
+  imprisoned: 3.3,
+  improbable: 2.9,
+  improperly: 2.8,
+  improvised: 2.8,
+  improvises: 1.9,
+  imprudence: 1.3,
+  impurities: 2.6,
+  imputation: 1.6,
+  inaccuracy: 1.6,
+  inaccurate: 2.7,
+  inactivity: 1.8,
+  inadequacy: 2.5,
+  inadequate: 3.3,
+  inaugurate: 2,
+  inbreeding: 2.5,
+  incapacity: 2.4,
+  incarnated: 1.6,
+  incautious: 1.3,
+  incendiary: 2.9,
+  incentives: 2.4,
+  incestuous: 2.6,
+  incidences: 1.6,
+  incidental: 2.7,
+  incinerate: 2.5,
+  incitement: 2.4,
+  inclusions: 1.9,
+  incoherent: 2.7,
+  incomplete: 3.3,
+  inconstant: 1.9,
+  increasing: 3.5,
+  incredible: 4.6,
+  incredibly: 4.1,
+  increments: 2.4,
+  incubating: 2,
+  incubation: 2.6,
+  incubators: 2.1,
+  inculcated: 1.6,
+  incumbents: 1.3,
+  incurables: 1.6,
+  incursions: 1.9,
+  indecently: 2.1,
+  indecision: 2.6,
+  indecisive: 2.7,
+  indecorous: 1.8,
+  indefinite: 2.6,
+  indelicacy: 1.3,
+  indelicate: 2.5,
+  indentured: 2.4,
+  indentures: 1.3,
+  indicating: 3.3,
+  indication: 3.6,
+  indicative: 2.7,
+  indicators: 2.6,
+  indictable: 2,
+  indictment: 3.4,
+  indigenous: 3,
+  indirectly: 2.7,
+  indiscreet: 2.7,
+  indisposed: 3,
+  indistinct: 3.7,
+  individual: 4.1,
+  inducement: 2.4,
+  inductions: 1.3,
+  indulgence: 3,
+  industrial: 3.7,
+  industries: 2.9,
+  inebriated: 2.5,
+  inebriates: 1.3,
+  ineligible: 2.3,
+  ineptitude: 2,
+  inequality: 1.8,
+  inequities: 1.9,
+  inevitable: 3.8,
+  inevitably: 3.1,
+  inexorable: 2.1,
+  inexorably: 2.1,
+  infallible: 2.8,
+  infarction: 2.4,
+  infatuated: 2.9,
+  infatuates: 1.3,
+  infections: 3,
+  infectious: 3.1,
+  inferences: 1.3,
+  infidelity: 3.1,
+  infielders: 1.9,
+  infighting: 2.4,
+  infiltrate: 3.2,
+  infinitely: 3,
+  infinities: 1.3,
+  infinitive: 1.8,
+  inflatable: 2.9,
+  inflection: 2.2,
+  inflexible: 2.2,
+  inflicting: 2.7,
+  infliction: 2.4,
+  influenced: 3.3,
+  influences: 3.1,
+  informally: 2.4,
+  informants: 3.1,
+  infraction: 2.8,
+  infrequent: 2,
+  infringing: 1.9,
+  infuriated: 2.1,
+  infuriates: 2.1,
+  inglorious: 2,
+  ingraining: 1.3,
+  ingratiate: 2.3,
+  ingredient: 3.4,
+  inhabitant: 2.2,
+  inhabiting: 2.1,
+  inhalation: 2.8,
+  inherently: 2.7,
+  inheriting: 2.3,
+  inheritors: 1.3,
+  inhibiting: 1.9,
+  inhibition: 2.6,
+  inhumanely: 1.3,
+  inhumanity: 2.3,
+  inimitable: 2.2,
+  inimitably: 1.6,
+  iniquities: 1.8,
+  iniquitous: 1.3,
+  initialing: 1.3,
+  initialize: 1.6,
+  initiating: 3,
+  initiation: 3.1,
+  initiative: 3.4,
+  injections: 3.1,
+  injunction: 3.1,
+  injustices: 2.5,
+  innocently: 2.8,
+  innovating: 1.3,
+  innovation: 2.8,
+  innovative: 3,
+  innovators: 1.3,
+  inoculated: 2.4,
+  inoperable: 2.8,
+  inordinate: 2.5,
+  inquisitor: 2.7,
+  insatiable: 3,
+  insatiably: 1.3,
+  inscribing: 1.3,
+  insecurity: 3,
+  inseminate: 1.9,
+  insensible: 1.9,
+  insentient: 1.3,
+  insertions: 2,
+  insightful: 3,
+  insinuated: 2.2,
+  insinuates: 1.3,
+  insistence: 2.6,
+  insolvency: 1.6,
+  insomniacs: 2.1,
+  insouciant: 1.8,
+  inspecting: 2.8,
+  inspection: 3.8,
+  inspectors: 2.9,
+  installing: 3.1,
+  instigated: 2.6,
+  instigates: 1.6,
+  instigator: 2.3,
+  instilling: 1.8,
+  instituted: 2.9,
+  institutes: 1.6,
+  instructed: 3.7,
+  instructor: 3.7,
+  instrument: 3.9,
+  insulating: 1.6,
+  insulation: 3,
+  insurances: 1.6,
+  insurgence: 1.3,
+  insurgency: 2.2,
+  insurgents: 2.8,
+  intangible: 2.7,
+  integrated: 3,
+  integrates: 1.8,
+  integrator: 1.6,
+  intellects: 2.4,
+  intentions: 3.9,
+  interacted: 2.2,
+  interceded: 2.2,
+  intercedes: 1.8,
+  intercepts: 2.5,
+  interdicts: 1.3,
+  interested: 4.9,
+  interfaced: 1.9,
+  interfaces: 2.2,
+  interfaith: 2.1,
+  interfered: 3.2,
+  interferes: 2.9,
+  interferon: 1.8,
+  interlaced: 2.2,
+  interlocks: 2,
+  interloper: 2.3,
+  interludes: 1.6,
+  intermarry: 1.3,
+  internally: 3.1,
+  internment: 2.5,
+  internship: 3.5,
+  interprets: 2.3,
+  interrupts: 2.4,
+  intersects: 2.1,
+  interstate: 3.3,
+  intertwine: 2.2,
+  intervened: 2.9,
+  intervenes: 2.2,
+  interviews: 3.7,
+  interweave: 1.3,
+  interwoven: 2.1,
+  intestinal: 2.8,
+  intestines: 3.2,
+  intimacies: 2,
+  intimately: 3.1,
+  intimating: 1.9,
+  intimidate: 3.2,
+  intolerant: 2.9,
+  intonation: 2.3,
+  intoxicate: 1.6,
+  intramural: 1.9,
+  intrepidly: 1.6,
+  intriguing: 3.4,
+  introduced: 4.1,
+  introduces: 2.8,
+  intrusions: 1.8,
+  intuitions: 2.2,
+  inundating: 1.3,
+  inundation: 1.3,
+  invalidate: 2.5,
+  invaluable: 3.1,
+  invariable: 1.9,
+  invariably: 2.9,
+  inventions: 3.2,
+  inversions: 1.3,
+  investment: 4,
+  inveterate: 1.6,
+  invigorate: 1.8,
+  invincible: 3.5,
+  invincibly: 1.3,
+  inviolable: 1.6,
+  invitation: 4.2,
+  invitingly: 1.3,
+  invocation: 1.8,
+  ionization: 2.4,
+  ionosphere: 2.3,
+  iridescent: 1.8,
+  ironically: 3.2,
+  irradiated: 2.2,
+  irradiates: 1.3,
+  irrational: 3.5,
+  irregulars: 2.3,
+  irrelevant: 3.7,
+  irreverent: 2.1,
+  irrigating: 2.1,
+  irrigation: 2.9,
+  irritating: 3.3,
+  irritation: 2.8,
+  isometrics: 2.1,
+  iterations: 1.6,
+  jackhammer: 2.7,
+  jackknifed: 2,
+  jackknives: 1.8,
+  jackrabbit: 2.8,
+  jailbreaks: 1.3,
+  janitorial: 2.6,
+  jawbreaker: 2.1,
+  jaywalking: 2.8,
+  jealousies: 2.3,
+  jellybeans: 2.4,
+  jeopardize: 3.5,
+  jettisoned: 1.9,
+  jitterbugs: 1.6,
+  jockstraps: 2,
+  jocularity: 2.1,
+  journalism: 3.6,
+  journalist: 3.8,
+  journeying: 2,
+  journeyman: 1.6,
+  journeymen: 1.6,
+  joyfullest: 1.3,
+  joyfulness: 1.3,
+  jubilantly: 1.3,
+  jubilation: 2,
+  judgmental: 3.2,
+  juggernaut: 2.5,
+  justifying: 2.4,
+  juxtaposed: 1.3,
+  kettledrum: 1.6,
+  keystrokes: 2.2,
+  kidnappers: 3.5,
+  kidnapping: 4.1,
+  kilocycles: 1.6,
+  kilometers: 3.5,
+  kindliness: 1.6,
+  kindnesses: 1.8,
+  kingfisher: 2.2,
+  knickknack: 1.9,
+  knighthood: 2.7,
+  knockwurst: 2.5,
+  kookaburra: 1.3,
+  laboratory: 3.8,
+  labyrinths: 1.9,
+  lacerating: 2,
+  laceration: 3.1,
+  lachrymose: 2.1,
+  lackluster: 2.1,
+  lambasting: 1.6,
+  lamebrains: 1.8,
+  lamentable: 2.1,
+  lamentably: 1.6,
+  laminating: 1.8,
+  lamination: 2.1,
+  lampooning: 1.3,
+  lampshades: 1.9,
+  landladies: 1.8,
+  landlocked: 2.3,
+  landlubber: 2,
+  landowners: 2.4,
+  landscaped: 1.8,
+  landscaper: 2.6,
+  landscapes: 2.7,
+  landslides: 1.8,
+  languished: 2.1,
+  languorous: 1.6,
+  laryngitis: 2.7,
+  lascivious: 2.8,
+  laughingly: 2.1,
+  launderers: 1.9,
+  laundering: 3.1,
+  laundryman: 1.9,
+  lavatories: 2.4,
+  lawbreaker: 2.1,
+  lawrencium: 1.3,
+  leadership: 3.7,
+  legalistic: 1.6,
+  legalizing: 1.6,
+  legislates: 1.3,
+  legislator: 2.2,
+  legitimacy: 2.7,
+  legitimate: 3.9,
+  legitimize: 2,
+  lengthened: 2.2,
+  lengthwise: 2.5,
+  leprechaun: 3.2,
+  lesbianism: 2.2,
+  letterhead: 2.6,
+  leukocytes: 2,
+  leveraging: 1.3,
+  leviathans: 1.6,
+  levitating: 2.1,
+  levitation: 2.2,
+  liberalism: 2,
+  liberating: 3,
+  liberation: 3.4,
+  liberators: 2.3,
+  libertines: 1.9,
+  libidinous: 1.9,
+  librarians: 2.1,
+  licentious: 1.6,
+  lieutenant: 5,
+  lifeguards: 2.6,
+  lifesavers: 2.2,
+  lifesaving: 2.6,
+  lifestyles: 2.8,
+  lightening: 2.7,
+  lighthouse: 3.5,
+  likelihood: 3.1,
+  likenesses: 1.3,
+  limitation: 2.5,
+  limousines: 2.6,
+  lineaments: 1.6,
+  linebacker: 2.8,
+  linguistic: 2.5,
+  lipreading: 1.3,
+  liquidated: 2.5,
+  liquidates: 1.6,
+  liquidator: 1.8,
+  listlessly: 1.6,
+  literature: 3.8,
+  lithograph: 1.8,
+  litigating: 1.8,
+  litigation: 3.2,
+  litterbugs: 1.3,
+  littleness: 1.9,
+  livelihood: 3.2,
+  liverwurst: 2.6,
+  lobotomies: 1.9,
+  localities: 1.6,
+  locksmiths: 2.1,
+  locomotion: 2.2,
+  locomotive: 2.9,
+  lodestones: 1.3,
+  logarithms: 1.6,
+  logistical: 2.4,
+  loincloths: 1.8,
+  loneliness: 3.7,
+  longitudes: 1.3,
+  lookalikes: 1.6,
+  loquacious: 2.2,
+  loveliness: 2.9,
+  lovemaking: 3,
+  lubricants: 2.1,
+  lubricated: 2.5,
+  lubricates: 1.6,
+  lubricator: 1.8,
+  lugubrious: 1.8,
+  lumberjack: 2.7,
+  lumberyard: 2.2,
+  luminaries: 2,
+  luminosity: 1.6,
+  lunchrooms: 1.3,
+  lunchtimes: 1.3,
+  maceration: 1.3,
+  machinists: 1.9,
+  mackintosh: 2.1,
+  magistrate: 3.1,
+  magnetized: 2,
+  magnetizes: 1.3,
+  magnifying: 3,
+  maidenhead: 2.3,
+  maidenhood: 2.1,
+  mainframes: 1.9,
+  mainlining: 1.8,
+  mainspring: 1.6,
+  mainstream: 3.1,
+  maintained: 3.3,
+  maintainer: 2,
+  majorettes: 1.8,
+  malcontent: 2.3,
+  malefactor: 1.3,
+  malevolent: 2.5,
+  malignancy: 2.1,
+  malingerer: 1.8,
+  malodorous: 1.8,
+  maltreated: 1.3,
+  manageable: 2.8,
+  management: 4.1,
+  managerial: 2.6,
+  maneuvered: 2.3,
+  manhandled: 2.6,
+  manicuring: 1.8,
+  manicurist: 2.8,
+  manifested: 2.7,
+  manifestly: 1.3,
+  manifestos: 1.6,
+  manipulate: 3.5,
+  mannequins: 2.6,
+  mannerisms: 2.7,
+  manservant: 2.5,
+  manuscript: 3.4,
+  marathoner: 1.6,
+  margaritas: 3.1,
+  marginally: 2.3,
+  marinating: 2.2,
+  marionette: 2.1,
+  marketable: 2.4,
+  marshaling: 2,
+  marsupials: 1.8,
+  masochists: 2.3,
+  masquerade: 3.2,
+  massacring: 1.3,
+  mastectomy: 2.4,
+  mastermind: 3.1,
+  masterwork: 1.6,
+  masticated: 1.3,
+  masturbate: 3.1,
+  matchbooks: 2.1,
+  matchboxes: 1.3,
+  matchmaker: 2.9,
+  matchstick: 1.3,
+  materially: 2,
+  matriarchs: 1.9,
+  matriarchy: 1.3,
+  mattresses: 3,
+  maturation: 1.8,
+  mausoleums: 1.6,
+  maximizing: 2.3,
+  mayflowers: 2.3,
+  mayonnaise: 3.4,
+  meadowlark: 2.4,
+  meandering: 2.2,
+  meaningful: 3.5,
+  measurable: 2.1,
+  measurably: 1.3,
+  mechanical: 3.7,
+  mechanisms: 2.7,
+  mechanized: 2.4,
+  medallions: 2.3,
+  meddlesome: 2.5,
+  medicating: 2.3,
+  medication: 4.1,
+  mediocrity: 2.8,
+  meditating: 2.8,
+  meditation: 3.2,
+  meditative: 2.3,
+  megacycles: 1.6,
+  megaphones: 1.8,
+  melancholy: 3.3,
+  melodramas: 2.1,
+  membership: 3.5,
+  membranous: 1.3,
+  memorandum: 2.7,
+  memorizing: 2.8,
+  menacingly: 2,
+  menageries: 1.3,
+  mendacious: 2.1,
+  mendicants: 1.3,
+  meningitis: 2.8,
+  menopausal: 2.2,
+  menstruate: 1.9,
+  mentioning: 3.5,
+  mercantile: 2.4,
+  mercerized: 1.6,
+  mercifully: 2.5,
+  mesmerized: 2.6,
+  messengers: 2.9,
+  metabolism: 3,
+  metabolize: 2.4,
+  metacarpal: 2.1,
+  metallurgy: 2.1,
+  metastases: 1.6,
+  metastasis: 1.6,
+  metatarsal: 1.6,
+  meteorites: 2.3,
+  methodical: 2.7,
+  meticulous: 3,
+  metropolis: 3,
+  mettlesome: 1.3,
+  microchips: 2.7,
+  microfiche: 2.4,
+  microfilms: 1.6,
+  micrometer: 1.6,
+  microphone: 3.7,
+  microscope: 3.4,
+  microscopy: 2,
+  microwaved: 2.2,
+  microwaves: 2.8,
+  middlebrow: 1.6,
+  midshipman: 2.9,
+  midshipmen: 2.2,
+  mightiness: 1.3,
+  migrations: 1.9,
+  milestones: 2.1,
+  militarily: 2.5,
+  militarism: 2,
+  militarist: 1.3,
+  militarize: 1.3,
+  milkshakes: 2.5,
+  millennial: 1.3,
+  millennium: 3.6,
+  milligrams: 3.3,
+  milliliter: 1.6,
+  millimeter: 3.1,
+  millstones: 1.3,
+  mimeograph: 2.2,
+  mindedness: 1.8,
+  mindlessly: 1.8,
+  minefields: 2.6,
+  mineralogy: 1.3,
+  minestrone: 2,
+  miniatures: 1.9,
+  minimalist: 2.2,
+  minimizing: 2.1,
+  miniseries: 2.2,
+  miniskirts: 2.3,
+  ministries: 2.2,
+  minorities: 2.6,
+  minuteness: 1.3,
+  miraculous: 3.3,
+  misapplied: 1.8,
+  misbehaved: 2.4,
+  misbehaves: 2.3,
+  miscarried: 2.3,
+  miscellany: 1.6,
+  misconduct: 2.9,
+  miscounted: 2.3,
+  miscreants: 2.1,
+  misfortune: 3.4,
+  misgivings: 2.4,
+  mishandled: 2.3,
+  misjudging: 2.1,
+  misleading: 2.9,
+  mismanaged: 1.6,
+  mismatched: 2.3,
+  mismatches: 1.9,
+  misogynist: 2.2,
+  misplacing: 2.2,
+  misprinted: 1.3,
+  misquoting: 1.6,
+  misreading: 2.5,
+  missionary: 3.3,
+  misspelled: 2.5,
+  mistakenly: 2.8,
+  mistreated: 2.8,
+  mistresses: 2.7,
+  mistrusted: 1.9,
+  mitigating: 2.8,
+  mitigation: 1.8,
+  mizzenmast: 2.1,
+  mobilizing: 2.5,
+  moderately: 2.8,
+  moderating: 1.8,
+  moderation: 2.9,
+  modernists: 1.3,
+  modernizes: 1.3,
+  modulating: 1.8,
+  modulation: 2.1,
+  moistening: 1.3,
+  moisturize: 2,
+  molybdenum: 1.8,
+  monarchies: 1.3,
+  monarchist: 1.3,
+  monetarily: 1.3,
+  monetizing: 1.3,
+  moneymaker: 2.6,
+  monitoring: 3.7,
+  monochrome: 1.9,
+  monogamous: 2.9,
+  monographs: 1.6,
+  monolithic: 1.9,
+  monologues: 2.6,
+  monopolies: 2.1,
+  monopolist: 1.3,
+  monopolize: 2.4,
+  monotheism: 1.6,
+  monotonous: 2.9,
+  monumental: 3,
+  moonlights: 1.9,
+  moonscapes: 1.6,
+  moonstones: 1.6,
+  moonstruck: 1.9,
+  moralistic: 1.3,
+  moralities: 1.6,
+  moralizing: 2.1,
+  moratorium: 2.4,
+  morphology: 2.1,
+  mortgaging: 1.9,
+  morticians: 2.4,
+  mortifying: 2.1,
+  mortuaries: 1.8,
+  mosquitoes: 3.3,
+  mothballed: 1.6,
+  motherhood: 3.1,
+  motherland: 2.7,
+  motherless: 2.8,
+  motionless: 2.5,
+  motivating: 2.2,
+  motivation: 3.5,
+  motivators: 1.3,
+  motorbikes: 2.4,
+  motorboats: 1.6,
+  motorcades: 2.1,
+  motorcycle: 4,
+  motormouth: 2.5,
+  mountebank: 2.1,
+  mournfully: 1.9,
+  mousetraps: 2.1,
+  mouthpiece: 3,
+  mozzarella: 2.7,
+  muckrakers: 1.6,
+  muckraking: 1.9,
+  mudslinger: 1.3,
+  mulberries: 1.6,
+  mulishness: 1.3,
+  multimedia: 2.7,
+  multiplied: 2.7,
+  multiplies: 2.3,
+  multitudes: 2.2,
+  multiverse: 1.3,
+  municipals: 1.3,
+  mushroomed: 1.8,
+  musicology: 1.3,
+  musketeers: 3.2,
+  mutilating: 2.3,
+  mutilation: 3,
+  mysterious: 4.2,
+  mystically: 1.6,
+  mystifying: 2.5,
+  nanosecond: 2.1,
+  narcissism: 2.8,
+  narcissist: 2.7,
+  narratives: 1.8,
+  narrowness: 1.3,
+  nasturtium: 1.3,
+  nationally: 2.7,
+  nationwide: 3.1,
+  nativities: 1.3,
+  naturalist: 2.4,
+  naughtiest: 1.6,
+  nauseating: 2.8,
+  nautically: 1.3,
+  navigating: 2.4,
+  navigation: 3.2,
+  navigators: 1.9,
+  necromancy: 1.8,
+  nectarines: 1.8,
+  needlessly: 2.8,
+  needlework: 2.4,
+  negatively: 2.4,
+  negativity: 2.8,
+  neglectful: 2.5,
+  neglecting: 3,
+  negligence: 3.3,
+  negligible: 2.6,
+  negotiable: 3,
+  negotiated: 3.1,
+  negotiates: 1.9,
+  negotiator: 3.1,
+  neighborly: 2.8,
+  neoclassic: 1.8,
+  neologisms: 1.3,
+  nethermost: 1.3,
+  networking: 2.7,
+  neutrality: 2.5,
+  neutralize: 3.1,
+  newfangled: 2.5,
+  newscaster: 2.8,
+  newsletter: 2.9,
+  newspapers: 4.1,
+  newsstands: 2.3,
+  newsworthy: 2.5,
+  nicknaming: 1.3,
+  nightclubs: 3,
+  nightgowns: 2.3,
+  nighthawks: 1.6,
+  nightmares: 3.9,
+  nightshade: 2.7,
+  nightshirt: 2.3,
+  nightstick: 2.6,
+  nihilistic: 2.1,
+  nimbleness: 1.3,
+  nincompoop: 2.9,
+  nineteenth: 2.5,
+  nitpicking: 1.6,
+  noblewoman: 1.6,
+  noisemaker: 1.8,
+  nominating: 1.6,
+  nomination: 3.4,
+  nominative: 1.3,
+  nonaligned: 1.3,
+  nonchalant: 2.6,
+  nonfiction: 2.6,
+  nonmembers: 1.3,
+  nonpayment: 2.2,
+  nonplussed: 2,
+  nonsmoking: 2.4,
+  nonsupport: 1.3,
+  nontaxable: 1.3,
+  nonviolent: 2.8,
+  normalized: 1.6,
+  northbound: 2.8,
+  northerner: 1.8,
+  nosebleeds: 2.7,
+  notarizing: 1.6,
+  noteworthy: 2.2,
+  noticeable: 2.9,
+  noticeably: 2.3,
+  nourishing: 2.6,
+  novitiates: 1.6,
+  numerators: 1.3,
+  numerology: 1.6,
+  nursemaids: 1.9,
+  nutcracker: 2.8,
+  nutritious: 2.9,
+  obediently: 1.6,
+  obfuscates: 1.3,
+  obituaries: 3,
+  objections: 3.6,
+  objectives: 3.1,
+  obligating: 1.3,
+  obligation: 3.8,
+  obligatory: 2.6,
+  obligingly: 2,
+  obliterate: 2.5,
+  obsequious: 2.3,
+  observable: 1.9,
+  observance: 1.8,
+  obsessions: 2.7,
+  obstetrics: 2.1,
+  obstructed: 2.7,
+  occasional: 3.6,
+  occasioned: 2.4,
+  occidental: 2.1,
+  occlusions: 1.3,
+  occupation: 3.6,
+  occurrence: 3.1,
+  oceangoing: 1.3,
+  officially: 4.2,
+  officiated: 1.3,
+  officiates: 1.3,
+  oftentimes: 2.6,
+  omnipotent: 2.6,
+  omniscient: 2.5,
+  omnivorous: 1.6,
+  operations: 4.1,
+  operatives: 3.1,
+  ophthalmic: 1.3,
+  opposition: 3.5,
+  oppressing: 2.2,
+  oppression: 3.2,
+  oppressive: 3,
+  oppressors: 2.7,
+  optimistic: 3.5,
+  orangutans: 2.2,
+  orchestral: 2.3,
+  orchestras: 2.2,
+  ordinances: 2.2,
+  ordinaries: 1.8,
+  ordinarily: 3.3,
+  ordination: 2,
+  organizers: 2.6,
+  organizing: 3.3,
+  orientated: 2,
+  originally: 3.8,
+  originated: 3.1,
+  originates: 2,
+  originator: 1.8,
+  ornamental: 2.2,
+  orphanages: 2.5,
+  orthopedic: 2.7,
+  oscillated: 1.3,
+  oscillates: 1.3,
+  oscillator: 2.5,
+  ostensible: 1.8,
+  ostensibly: 2.5,
+  ostracized: 2.6,
+  outclassed: 2.4,
+  outfielder: 2,
+  outfitters: 1.8,
+  outfitting: 2.1,
+  outflanked: 2.2,
+  outgrowing: 1.3,
+  outgrowths: 1.3,
+  outlandish: 2.5,
+  outnumbers: 1.8,
+  outpatient: 2.8,
+  outperform: 1.8,
+  outplaying: 1.3,
+  outpouring: 2.4,
+  outrageous: 3.8,
+  outriggers: 1.3,
+  outrunning: 2.1,
+  outselling: 1.9,
+  outshining: 1.6,
+  outsmarted: 2.9,
+  outsourced: 2.1,
+  outweighed: 1.3,
+  outwitting: 1.3,
+  overacting: 2.2,
+  overactive: 2.6,
+  overbooked: 2.6,
+  overburden: 1.3,
+  overcharge: 2.6,
+  overcoming: 2.7,
+  overcooked: 2.5,
+  overdosing: 1.6,
+  overeating: 1.9,
+  overexpose: 1.3,
+  overextend: 1.3,
+  overflowed: 2.4,
+  overhauled: 2.1,
+  overheated: 2.7,
+  overlapped: 2.2,
+  overlaying: 1.8,
+  overloaded: 3,
+  overlooked: 3.3,
+  overnights: 2.5,
+  overpaying: 1.9,
+  overplayed: 2.1,
+  overpowers: 1.9,
+  overpriced: 2.9,
+  overreacts: 2.2,
+  overridden: 2.4,
+  overriding: 2.6,
+  overruling: 1.8,
+  overseeing: 2.8,
+  overshadow: 2.1,
+  oversights: 1.6,
+  overspread: 1.3,
+  overstated: 2.3,
+  overstates: 1.3,
+  overstayed: 2.4,
+  overtaking: 2.1,
+  overthrown: 2.5,
+  overthrows: 2.1,
+  overturned: 3,
+  overweight: 3.3,
+  overwhelms: 2.6,
+  overworked: 3,
+  overwrites: 1.3,
+  oxygenated: 2.3,
+  pacemakers: 2.1,
+  painkiller: 2.7,
+  painlessly: 2.3,
+  paintbrush: 2.7,
+  palavering: 1.6,
+  palindrome: 2.2,
+  pallbearer: 2.3,
+  palliating: 1.3,
+  palliative: 1.8,
+  palpitates: 1.3,
+  pancreatic: 2.6,
+  panhandler: 2.4,
+  pantaloons: 2.3,
+  pantheists: 1.3,
+  pantomimes: 1.8,
+  paperbacks: 2.4,
+  parachuted: 2.6,
+  parachutes: 2.9,
+  paragraphs: 2.5,
+  paralegals: 2.3,
+  paralleled: 1.3,
+  paralytics: 1.8,
+  paralyzing: 2.5,
+  paramecium: 2.3,
+  paramedics: 3.7,
+  parameters: 3.1,
+  paranormal: 3.1,
+  paraphrase: 2.4,
+  paraplegia: 1.3,
+  paraplegic: 2.7,
+  paratroops: 2.2,
+  parboiling: 1.3,
+  parchments: 1.3,
+  pardonable: 1.8,
+  parenthood: 2.9,
+  parliament: 3.3,
+  partiality: 1.9,
+  participle: 1.8,
+  particular: 4.4,
+  partitions: 2.2,
+  partnering: 2,
+  partridges: 1.9,
+  passageway: 3.1,
+  passengers: 4.1,
+  passionate: 3.8,
+  pasteboard: 1.6,
+  pasteurize: 1.3,
+  pathogenic: 1.3,
+  patriarchs: 1.6,
+  patriarchy: 1.8,
+  patriotism: 3.2,
+  patrolling: 3,
+  patronized: 2.4,
+  patronymic: 1.8,
+  patterning: 1.6,
+  pawnbroker: 2.2,
+  paymasters: 1.3,
+  peacefully: 3.4,
+  peacemaker: 2.4,
+  peccadillo: 2,
+  peculiarly: 2.1,
+  pedestrian: 3.1,
+  pediatrics: 2.7,
+  pejorative: 1.9,
+  penalizing: 1.6,
+  penetrated: 3.2,
+  penetrates: 2.7,
+  penicillin: 3.4,
+  peninsulas: 1.3,
+  penmanship: 2.7,
+  penologist: 1.6,
+  pensioners: 2,
+  pentameter: 2.4,
+  pentathlon: 1.8,
+  penthouses: 2.2,
+  peppercorn: 2.1,
+  peppermint: 3.1,
+  pepperonis: 2.1,
+  perceiving: 2.2,
+  percentage: 3.6,
+  percentile: 2.8,
+  perception: 3.5,
+  perceptive: 3.3,
+  perceptual: 1.9,
+  percolated: 1.6,
+  percolator: 1.9,
+  percussion: 2.8,
+  peremptory: 2.1,
+  perennials: 1.9,
+  perfectest: 1.3,
+  perfecting: 2.8,
+  perfection: 3.7,
+  perfidious: 2.2,
+  perforated: 2.7,
+  performers: 3.1,
+  performing: 3.8,
+  perimeters: 2.6,
+  periodical: 2.2,
+  peripheral: 3,
+  periscopes: 1.6,
+  perishable: 2.4,
+  peritoneum: 2.3,
+  periwinkle: 2.2,
+  permafrost: 1.3,
+  permanence: 2.3,
+  permanents: 1.3,
+  permeating: 1.6,
+  permission: 4.5,
+  permissive: 2,
+  permitting: 2.7,
+  pernicious: 2.4,
+  perpetrate: 1.9,
+  perpetuate: 2.6,
+  perpetuity: 2.5,
+  perplexing: 2.4,
+  persecuted: 3.1,
+  persecutes: 1.6,
+  persecutor: 1.9,
+  persevered: 1.3,
+  perseveres: 1.8,
+  persiflage: 1.6,
+  persimmons: 1.9,
+  persistent: 3.4,
+  persisting: 1.3,
+  personable: 2.4,
+  personages: 2.2,
+  personally: 4.6,
+  perspiring: 2.4,
+  persuading: 2.7,
+  persuasion: 3.3,
+  persuasive: 3.3,
+  pertaining: 2.9,
+  pertinence: 1.3,
+  perturbing: 1.6,
+  perversely: 1.9,
+  perversion: 2.9,
+  perversity: 2.1,
+  perverting: 1.6,
+  pessimists: 1.6,
+  pesticides: 2.8,
+  pestilence: 2.8,
+  petitioned: 2.5,
+  petitioner: 2.7,
+  petrolatum: 1.6,
+  petticoats: 2.6,
+  petulantly: 1.3,
+  pharmacies: 2.1,
+  pharmacist: 3.2,
+  pharyngeal: 1.6,
+  phenomenal: 3.4,
+  phenomenon: 3.7,
+  pheromones: 3,
+  philistine: 3,
+  philosophy: 3.9,
+  phonograph: 3,
+  phosphates: 1.9,
+  phosphoric: 1.3,
+  phosphorus: 2.8,
+  photogenic: 2.8,
+  photograph: 4.1,
+  phrenology: 2.1,
+  physically: 4,
+  physicians: 3.1,
+  physicists: 2.8,
+  physiology: 3,
+  pianissimo: 1.9,
+  pianoforte: 2.4,
+  piccalilli: 1.6,
+  pickpocket: 2.9,
+  picnicking: 2,
+  pictograph: 1.3,
+  pictorials: 1.6,
+  pigeonhole: 1.9,
+  piggybacks: 1.6,
+  pilgrimage: 3.1,
+  pillowcase: 2.8,
+  pilothouse: 1.9,
+  pincushion: 2.2,
+  pineapples: 2.7,
+  pinpointed: 2.6,
+  pinstriped: 1.9,
+  pinstripes: 2.1,
+  pioneering: 2.3,
+  pipsqueaks: 1.6,
+  pirouetted: 1.3,
+  pirouettes: 2.1,
+  pistachios: 2.5,
+  pitchforks: 2.4,
+  pitilessly: 1.6,
+  placements: 1.6,
+  plagiarism: 2.5,
+  plagiarist: 1.3,
+  plagiarize: 1.6,
+  plaintiffs: 2.9,
+  plantation: 3.5,
+  plasterers: 1.8,
+  plastering: 2.2,
+  plasticity: 1.9,
+  platitudes: 2.2,
+  playacting: 2.3,
+  playground: 3.7,
+  playhouses: 1.8,
+  playthings: 2.6,
+  playwright: 3.1,
+  pleasanter: 2.1,
+  pleasantly: 3,
+  pleasantry: 1.6,
+  pleasingly: 1.6,
+  pleasuring: 2,
+  plebiscite: 1.8,
+  pliability: 1.3,
+  plowshares: 2.1,
+  plummeting: 2.6,
+  plunderers: 1.3,
+  plundering: 2.2,
+  pluperfect: 1.3,
+  pocketbook: 3.2,
+  podiatrist: 2.3,
+  poetically: 2,
+  poignantly: 1.3,
+  poinsettia: 1.8,
+  poisonings: 2.3,
+  polarities: 1.6,
+  polarizing: 1.6,
+  politeness: 2.8,
+  politician: 3.5,
+  politicize: 2,
+  pollinated: 1.3,
+  pollinates: 1.3,
+  pollutants: 2.2,
+  polonaises: 1.3,
+  polygamist: 1.6,
+  polygamous: 1.6,
+  polygraphs: 2,
+  polynomial: 1.8,
+  polyphonic: 2.2,
+  polytheism: 1.3,
+  polytheist: 1.3,
+  poorhouses: 1.6,
+  popularity: 3.5,
+  popularize: 1.3,
+  populating: 1.6,
+  population: 4,
+  porcupines: 2.4,
+  portcullis: 1.9,
+  portentous: 1.9,
+  portfolios: 2.3,
+  portrayals: 1.6,
+  portraying: 2.5,
+  positional: 2.1,
+  positioned: 2.8,
+  positively: 3.8,
+  possessing: 2.8,
+  possession: 4.1,
+  possessive: 3.1,
+  possessors: 1.3,
+  posteriors: 1.3,
+  posthumous: 2.4,
+  postmarked: 2.4,
+  postmaster: 2.5,
+  postmodern: 2.4,
+  postmortem: 3.1,
+  postpartum: 2.6,
+  postponing: 2.9,
+  postscript: 2.5,
+  postulated: 2,
+  postulates: 1.3,
+  potbellied: 2.2,
+  potbellies: 1.3,
+  potentates: 1.3,
+  potentials: 2.7,
+  potholders: 2.4,
+  powerboats: 1.3,
+  powerfully: 2.2,
+  powerhouse: 2.7,
+  practicing: 4,
+  pragmatism: 2.3,
+  pragmatist: 2.2,
+  pranksters: 2.2,
+  prearrange: 1.6,
+  precarious: 2.6,
+  precaution: 3.5,
+  precedence: 2.7,
+  precedents: 2.3,
+  preceptors: 1.3,
+  preciously: 2,
+  precluding: 1.3,
+  precocious: 2.7,
+  precursors: 2,
+  predecease: 1.3,
+  predicated: 2.5,
+  predicting: 2.8,
+  prediction: 3.1,
+  predictive: 2.2,
+  predispose: 1.3,
+  preeminent: 2.2,
+  preempting: 1.3,
+  preemption: 2,
+  preemptive: 2.9,
+  prefecture: 2.5,
+  preferable: 3,
+  preferably: 3.5,
+  preference: 3.4,
+  preferment: 1.6,
+  preferring: 2.2,
+  preheating: 1.6,
+  prehensile: 1.3,
+  prehistory: 1.3,
+  prejudging: 1.8,
+  prejudiced: 3.3,
+  prejudices: 2.8,
+  premarital: 2.8,
+  premiering: 2.2,
+  prepayment: 1.9,
+  preschools: 2.1,
+  prescience: 1.6,
+  prescribed: 3.3,
+  prescribes: 2,
+  presenting: 3.5,
+  preservers: 2,
+  preserving: 3,
+  presidency: 3.4,
+  presidents: 3.4,
+  pressuring: 3.1,
+  pressurize: 2.2,
+  presumably: 3.2,
+  presuppose: 2,
+  pretenders: 2.6,
+  pretending: 4.2,
+  pretension: 2.4,
+  prettiness: 1.8,
+  prevailing: 2.7,
+  prevalence: 1.3,
+  preventing: 3,
+  prevention: 2.8,
+  preventive: 2.4,
+  previewing: 1.3,
+  previously: 4.3,
+  priesthood: 2.9,
+  primitives: 1.8,
+  primordial: 2.8,
+  princesses: 3.1,
+  principals: 2.9,
+  principled: 2.2,
+  principles: 3.8,
+  priorities: 3.5,
+  prioritize: 2.9,
+  privations: 1.3,
+  privatized: 2.2,
+  privileged: 3.5,
+  privileges: 3.5,
+  prizefight: 1.6,
+  procedural: 2.7,
+  procedures: 3.7,
+  proceeding: 3.5,
+  processing: 3.6,
+  procession: 3.1,
+  processors: 2.5,
+  proclaimed: 2.8,
+  proclivity: 2.4,
+  proctoring: 1.6,
+  procurator: 1.8,
+  prodigious: 2.7,
+  production: 4.1,
+  productive: 3.4,
+  professing: 1.8,
+  profession: 4,
+  professors: 3.3,
+  proficient: 2.8,
+  profitable: 3.4,
+  profitably: 2,
+  profiteers: 2.1,
+  profligate: 1.9,
+  profoundly: 3.1,
+  profundity: 1.9,
+  progenitor: 2.3,
+  prognostic: 1.3,
+  programmed: 3.7,
+  programmer: 3,
+  progressed: 2.9,
+  progresses: 2.4,
+  prohibited: 3.1,
+  projectile: 2.9,
+  projecting: 3.1,
+  projection: 3.3,
+  projectors: 2.3,
+  prolonging: 2.7,
+  prominence: 2.5,
+  promissory: 2.2,
+  promontory: 1.6,
+  promotions: 3,
+  promptness: 2.1,
+  promulgate: 1.8,
+  pronounced: 3.5,
+  pronounces: 2.1,
+  propaganda: 3.5,
+  propagated: 2.4,
+  propagates: 1.6,
+  propellant: 2.5,
+  propellers: 2.7,
+  propelling: 1.8,
+  propensity: 2.3,
+  propertied: 1.6,
+  properties: 3.5,
+  prophecies: 3.2,
+  prophesied: 2.6,
+  prophesies: 2.5,
+  prophetess: 1.8,
+  propitious: 2.1,
+  proponents: 1.3,
+  proportion: 3.4,
+  proprietor: 3.1,
+  propulsion: 3.1,
+  proscenium: 1.6,
+  proscribed: 1.3,
+  prosecuted: 3.2,
+  prosecutes: 1.8,
+  prosecutor: 3.9,
+  proselyted: 2,
+  prospected: 1.6,
+  prospector: 2.8,
+  prospectus: 2.7,
+  prospering: 2.3,
+  prosperity: 3.3,
+  prosperous: 3.1,
+  prosthesis: 2.2,
+  prosthetic: 2.8,
+  prostitute: 3.9,
+  prostrated: 1.8,
+  protecting: 4.2,
+  protection: 4.4,
+  protective: 3.8,
+  protectors: 2.9,
+  protestant: 3.2,
+  protesters: 2.9,
+  protesting: 3.3,
+  protoplasm: 2.1,
+  prototypes: 2.6,
+  protracted: 2.4,
+  protractor: 1.8,
+  protruding: 2.6,
+  protrusion: 1.8,
+  provenance: 2.2,
+  proverbial: 3,
+  providence: 3.4,
+  provincial: 3,
+  provisions: 3.2,
+  prudential: 2.2,
+  pseudonyms: 1.6,
+  psychiatry: 3.3,
+  psychology: 3.7,
+  psychopath: 3.4,
+  psychotics: 2.5,
+  pubescence: 1.3,
+  publicists: 2.6,
+  publicized: 2.3,
+  publishers: 3.1,
+  publishing: 3.6,
+  pugilistic: 1.8,
+  pugnacious: 1.6,
+  pulsations: 1.6,
+  pulverized: 2.5,
+  punctually: 1.8,
+  punctuated: 2.2,
+  puncturing: 1.8,
+  punishable: 2.9,
+  punishment: 4.1,
+  puppeteers: 1.8,
+  purchasing: 3,
+  puritanism: 1.3,
+  purporting: 1.6,
+  purposeful: 2.2,
+  putrescent: 1.6,
+  puzzlement: 2.3,
+  pyromaniac: 2.2,
+  quadrangle: 2.2,
+  quadriceps: 1.9,
+  quadrilles: 1.3,
+  quadrupeds: 1.3,
+  quadrupled: 1.9,
+  quadruples: 1.9,
+  quadruplet: 1.3,
+  quaintness: 1.8,
+  qualifiers: 1.8,
+  qualifying: 2.8,
+  quandaries: 1.8,
+  quantified: 1.9,
+  quantities: 3,
+  quarantine: 3.6,
+  quarreling: 2.9,
+  quartering: 2,
+  queasiness: 1.3,
+  quesadilla: 2.3,
+  questioned: 3.8,
+  questioner: 1.3,
+  quickening: 2.1,
+  quicksands: 2.1,
+  quotations: 2.5,
+  rabbinical: 1.6,
+  racecourse: 2.2,
+  racehorses: 2.5,
+  racetracks: 2.1,
+  racketeers: 2.1,
+  radiations: 1.6,
+  radicalism: 1.8,
+  ragamuffin: 1.8,
+  railroaded: 2.3,
+  rainmakers: 1.8,
+  ramrodding: 1.6,
+  ramshackle: 1.6,
+  randomized: 1.8,
+  randomness: 2.2,
+  ransacking: 2.4,
+  ratcheting: 1.3,
+  rationally: 3.1,
+  raunchiest: 1.8,
+  reactivate: 2.6,
+  readership: 2.3,
+  readjusted: 2.1,
+  readmitted: 2.1,
+  reaffirmed: 2,
+  reanimated: 2,
+  reappeared: 2.7,
+  reappraise: 1.3,
+  rearmament: 2,
+  rearranged: 2.9,
+  rearranges: 1.8,
+  reasonable: 4.3,
+  reasonably: 3.4,
+  reassemble: 2.6,
+  reassessed: 1.3,
+  reassigned: 3.1,
+  reassuring: 3.1,
+  reawakened: 1.9,
+  rebellions: 2.3,
+  rebellious: 3,
+  rebounding: 2.1,
+  rebuilding: 3.1,
+  recaptured: 2.4,
+  receivable: 2.2,
+  receptacle: 2.6,
+  receptions: 2.4,
+  recharging: 2.1,
+  rechecking: 2.1,
+  recidivism: 2.2,
+  recidivist: 1.6,
+  recipients: 2.4,
+  reciprocal: 2.7,
+  recitation: 2.7,
+  recklessly: 2.7,
+  reclaiming: 2.4,
+  recognized: 4,
+  recognizes: 3.3,
+  recollects: 1.9,
+  recombined: 1.3,
+  recommence: 1.6,
+  recommends: 2.7,
+  recompense: 2.4,
+  reconciled: 2.8,
+  reconciles: 1.6,
+  reconsider: 3.7,
+  reconvened: 1.3,
+  reconvenes: 1.8,
+  recordings: 3.2,
+  recounting: 2.1,
+  recoveries: 1.8,
+  recovering: 3.5,
+  recreating: 2.6,
+  recreation: 3.3,
+  recruiters: 2.5,
+  recruiting: 3.4,
+  rectangles: 1.9,
+  rectifiers: 1.6,
+  rectifying: 1.9,
+  recuperate: 2.5,
+  recurrence: 2.5,
+  recyclable: 2,
+  redecorate: 3,
+  rededicate: 2.2,
+  redeemable: 2,
+  redefining: 2,
+  redemption: 3.3,
+  redeployed: 2,
+  redesigned: 2.5,
+  redirected: 2.4,
+  rediscover: 2.3,
+  redressing: 1.6,
+  reductions: 2,
+  redundancy: 2.8,
+  reeducated: 1.3,
+  reelection: 2.8,
+  reemerging: 1.3,
+  reenacting: 2.2,
+  reentering: 1.9,
+  reevaluate: 2.6,
+  reexamined: 1.8,
+  refereeing: 2,
+  referenced: 2.2,
+  references: 3.6,
+  referendum: 2,
+  refinanced: 1.9,
+  refinement: 2.7,
+  refineries: 2.4,
+  refinished: 2.1,
+  reflecting: 2.8,
+  reflection: 3.7,
+  reflective: 2.8,
+  reflectors: 2.1,
+  refracting: 1.6,
+  refraction: 2.2,
+  refractory: 1.8,
+  refraining: 1.8,
+  refreshing: 3.6,
+  refundable: 2.2,
+  refutation: 1.3,
+  regardless: 3.7,
+  regenerate: 2.6,
+  regimental: 3.1,
+  regimented: 1.9,
+  regionally: 1.3,
+  registered: 4,
+  registries: 1.3,
+  regressing: 2.2,
+  regression: 2.8,
+  regressive: 1.8,
+  regretting: 2.8,
+  regrouping: 2.4,
+  regularity: 2.5,
+  regularize: 1.3,
+  regulating: 2.2,
+  regulation: 3.4,
+  regulators: 2.3,
+  regulatory: 2.4,
+  rehearsals: 3.4,
+  rehearsing: 3.6,
+  reimbursed: 2.2,
+  reimburses: 1.6,
+  reinforced: 3,
+  reinforces: 2.4,
+  reinserted: 1.3,
+  reinstated: 3.1,
+  reinstates: 1.3,
+  reinvented: 2.2,
+  reinvested: 1.6,
+  reiterated: 1.6,
+  rejections: 2.1,
+  rejuvenate: 2.1,
+  rekindling: 2.1,
+  relabeling: 1.3,
+  relational: 2,
+  relatively: 3.5,
+  relativity: 2.9,
+  relaxation: 3.2,
+  relearning: 1.8,
+  releasable: 1.3,
+  relegating: 1.6,
+  relentless: 3.2,
+  relinquish: 3,
+  relocating: 2.6,
+  relocation: 2.9,
+  reluctance: 3,
+  remainders: 2.1,
+  remarkable: 4.1,
+  remarkably: 3.3,
+  remarriage: 1.8,
+  remarrying: 2.1,
+  remembered: 4.4,
+  reminisced: 1.3,
+  reminisces: 1.3,
+  remittance: 2,
+  remodeling: 2.8,
+  remorseful: 2.5,
+  remortgage: 1.8,
+  remoteness: 1.9,
+  renderings: 1.8,
+  rendezvous: 3.8,
+  renditions: 1.8,
+  renouncing: 2.2,
+  renovating: 2.8,
+  renovation: 2.9,
+  reordering: 1.3,
+  reorganize: 2.6,
+  repackaged: 1.8,
+  repainting: 2.3,
+  repairable: 1.6,
+  reparation: 2.1,
+  repatriate: 1.9,
+  repayments: 1.3,
+  repeatable: 1.8,
+  repeatedly: 3.4,
+  repentance: 2.8,
+  repertoire: 2.7,
+  repetition: 2.8,
+  repetitive: 2.8,
+  rephrasing: 2,
+  replicated: 2.1,
+  replicates: 1.9,
+  reportedly: 2.8,
+  repository: 2.4,
+  represents: 3.8,
+  repressing: 2.2,
+  repression: 2.9,
+  repressive: 2.4,
+  reprimands: 1.9,
+  reprinting: 1.9,
+  reproached: 1.8,
+  reproaches: 2.1,
+  reprobates: 2.1,
+  reproduced: 2.5,
+  reproduces: 2.2,
+  reptilians: 2.5,
+  republican: 3.6,
+  repudiates: 1.3,
+  repugnance: 1.8,
+  reputation: 4.3,
+  requesting: 3.6,
+  reschedule: 3.5,
+  rescinding: 2.1,
+  rescission: 1.3,
+  researched: 2.9,
+  researcher: 2.9,
+  researches: 2.5,
+  resembling: 2.8,
+  resentment: 3.2,
+  reservists: 2.1,
+  reservoirs: 2.3,
+  reshuffles: 1.3,
+  residences: 2.4,
+  resilience: 2.1,
+  resiliency: 1.8,
+  resistance: 3.9,
+  resolutely: 2.1,
+  resolution: 3.5,
+  resonating: 2.2,
+  resounding: 2.7,
+  respectful: 3.3,
+  respecting: 3,
+  respective: 2.9,
+  respirator: 2.9,
+  respondent: 2.1,
+  responding: 3.7,
+  responsive: 2.9,
+  restarting: 1.9,
+  restaurant: 4.7,
+  restocking: 1.8,
+  restrained: 3,
+  restraints: 3.2,
+  restricted: 3.6,
+  resumption: 1.8,
+  resupplied: 1.6,
+  resupplies: 1.3,
+  resurfaced: 2.6,
+  resurfaces: 2.1,
+  resurgence: 1.9,
+  retaliated: 2.2,
+  retaliates: 1.3,
+  rethinking: 2.3,
+  retirement: 3.9,
+  retouching: 1.9,
+  retracting: 2.2,
+  retraction: 3,
+  retraining: 1.9,
+  retreating: 3,
+  retrievers: 2.1,
+  retrieving: 2.7,
+  retrograde: 2.5,
+  retrospect: 2.8,
+  returnable: 2,
+  revelation: 3.4,
+  revengeful: 1.8,
+  reverenced: 1.8,
+  reverently: 2.2,
+  reversible: 2.5,
+  revisiting: 2.2,
+  revitalize: 2.4,
+  revivified: 1.3,
+  revocation: 1.6,
+  revolution: 4.1,
+  rhetorical: 3,
+  rheumatism: 2.8,
+  rhinestone: 2.8,
+  rhinoceros: 2.9,
+  rhythmical: 1.8,
+  riboflavin: 2.1,
+  ricocheted: 2.2,
+  ridiculing: 2,
+  ridiculous: 4.7,
+  rightfully: 3.2,
+  rigorously: 2.3,
+  ringleader: 2.7,
+  ringmaster: 2.6,
+  riverfront: 2.3,
+  roadblocks: 3.1,
+  roadrunner: 2.6,
+  roistering: 1.3,
+  rollicking: 2,
+  rosebushes: 2.3,
+  rotational: 2.1,
+  rotisserie: 2.2,
+  rottenness: 1.9,
+  roughhouse: 2.4,
+  roughnecks: 2.6,
+  roundabout: 2.6,
+  roundhouse: 2.2,
+  roundworms: 1.3,
+  roustabout: 1.6,
+  rubberneck: 1.8,
+  ruminating: 2,
+  rumination: 1.3,
+  ruthlessly: 2.5,
+  sabbatical: 3,
+  sabotaging: 2.8,
+  saccharine: 2.1,
+  sacraments: 2.1,
+  sacredness: 1.8,
+  sacrificed: 3.6,
+  sacrifices: 3.6,
+  sacrileges: 1.3,
+  sacrosanct: 2.2,
+  saddlebags: 2.5,
+  safeguards: 2.6,
+  salamander: 2.2,
+  salesgirls: 1.3,
+  saleswoman: 2.5,
+  saleswomen: 1.6,
+  salivating: 2.5,
+  salmonella: 2.7,
+  saltshaker: 2.1,
+  salubrious: 2.2,
+  salutation: 2.1,
+  sanatorium: 2.7,
+  sanctified: 2.6,
+  sanctifies: 1.9,
+  sanctioned: 3,
+  sandalwood: 2.4,
+  sandbagged: 2.2,
+  sandcastle: 1.9,
+  sandstorms: 1.8,
+  sandwiched: 2.4,
+  sandwiches: 4,
+  sanitarium: 3.4,
+  sanitation: 3.1,
+  sapsuckers: 1.3,
+  sarcophagi: 1.9,
+  satellited: 1.3,
+  satellites: 3.5,
+  satisfying: 3.4,
+  saturating: 1.3,
+  saturation: 2.7,
+  sauerkraut: 3,
+  sauntering: 1.8,
+  savageries: 1.3,
+  saxophones: 2.1,
+  scampering: 2.2,
+  scandalize: 1.3,
+  scandalous: 3,
+  scapegoats: 2.3,
+  scarecrows: 2.4,
+  scathingly: 2.1,
+  scattering: 2.5,
+  scavengers: 2.6,
+  scavenging: 2.3,
+  scheduling: 3.1,
+  schematics: 3.1,
+  schlepping: 2.3,
+  schmoozing: 2.1,
+  scholastic: 2.8,
+  schoolbook: 1.9,
+  schoolboys: 2.3,
+  schooldays: 1.3,
+  schoolgirl: 3.3,
+  schoolmarm: 2.3,
+  schoolmate: 2.1,
+  schoolroom: 2.5,
+  schoolwork: 3,
+  schoolyard: 2.9,
+  scientific: 4.1,
+  scientists: 4,
+  scoreboard: 2.8,
+  scorecards: 2.1,
+  scornfully: 2,
+  scoundrels: 2.9,
+  scrabbling: 1.6,
+  scramblers: 1.3,
+  scrambling: 3,
+  scrapbooks: 2.3,
+  scratching: 3.6,
+  screeching: 3.4,
+  screenings: 2.5,
+  screenplay: 3.4,
+  screwballs: 2.1,
+  scribblers: 1.6,
+  scribbling: 2.8,
+  scrimmaged: 1.3,
+  scrimmages: 1.6,
+  scriptural: 1.3,
+  scriptures: 2.8,
+  scrounging: 2.6,
+  scrunchies: 2,
+  scrunching: 1.6,
+  scrupulous: 2.2,
+  scrutinize: 2.3,
+  sculptural: 1.9,
+  sculptured: 1.8,
+  sculptures: 2.8,
+  scurrilous: 2.2,
+  seamanship: 2.4,
+  seamstress: 2.7,
+  seasonable: 1.6,
+  seasonally: 1.6,
+  seasonings: 2.1,
+  secondhand: 3,
+  secretions: 2.7,
+  sectionals: 2.4,
+  securities: 3.1,
+  seductions: 1.3,
+  seersucker: 1.8,
+  segregated: 2.3,
+  seismology: 1.6,
+  selections: 2.6,
+  selflessly: 2.1,
+  semblances: 1.3,
+  semiannual: 1.6,
+  semicircle: 1.8,
+  semicolons: 1.6,
+  semifinals: 2.8,
+  seminarian: 1.3,
+  seminaries: 1.3,
+  senatorial: 2.4,
+  sensations: 2.9,
+  sensitized: 2,
+  sensitizes: 1.3,
+  sensuality: 2.8,
+  sensuously: 1.3,
+  sentencing: 3.1,
+  sentiments: 3.2,
+  separately: 3.3,
+  separating: 3.1,
+  separation: 3.7,
+  separatist: 2.2,
+  separators: 1.8,
+  septicemia: 1.9,
+  sequencers: 1.3,
+  sequencing: 2.5,
+  sequential: 2.3,
+  serenading: 2.2,
+  serialized: 1.3,
+  serializes: 2.2,
+  serpentine: 2.4,
+  serviceman: 2.2,
+  servicemen: 2.7,
+  settlement: 3.8,
+  seventieth: 1.6,
+  shakedowns: 1.9,
+  shallowest: 1.6,
+  shamefully: 2.4,
+  shampooing: 2.2,
+  shanghaied: 2.7,
+  shantytown: 1.9,
+  sharpeners: 1.6,
+  sharpening: 2.7,
+  shattering: 2.9,
+  sheepishly: 1.8,
+  sheltering: 2.3,
+  shenanigan: 1.8,
+  shepherded: 1.3,
+  shillelagh: 2.2,
+  shimmering: 2.8,
+  shipwrecks: 1.8,
+  shirttails: 2.1,
+  shockingly: 2.7,
+  shockproof: 1.3,
+  shoemakers: 1.3,
+  shoeshines: 1.6,
+  shoestring: 2.4,
+  shopkeeper: 2.6,
+  shoplifted: 2.4,
+  shoplifter: 2.7,
+  shorelines: 1.8,
+  shortbread: 2.3,
+  shortcakes: 1.3,
+  shortening: 2.5,
+  shortfalls: 1.6,
+  shorthorns: 1.3,
+  shotgunned: 1.6,
+  shouldered: 2,
+  shovelfuls: 1.8,
+  showcasing: 1.9,
+  shrewdness: 1.6,
+  shriveling: 1.8,
+  shuddering: 2.4,
+  shutterbug: 1.9,
+  shuttering: 1.3,
+  sicknesses: 1.8,
+  sideboards: 1.6,
+  sidelights: 1.3,
+  sidelining: 1.6,
+  sidesaddle: 2,
+  sidestroke: 1.6,
+  sideswiped: 2.2,
+  sideswipes: 1.3,
+  sightseers: 2.2,
+  signatures: 3.5,
+  signboards: 1.3,
+  signifying: 2.8,
+  silhouette: 2.8,
+  silverfish: 1.9,
+  silverware: 3.3,
+  similarity: 2.8,
+  simpletons: 2.3,
+  simplicity: 3.1,
+  simplified: 2.3,
+  simplifies: 1.9,
+  simplistic: 2.6,
+  simulating: 2.1,
+  simulation: 3.4,
+  simulators: 2.3,
+  singularly: 2.5,
+  sisterhood: 2.8,
+  situations: 3.9,
+  sixteenths: 1.3,
+  skateboard: 3.2,
+  skedaddled: 2,
+  skepticism: 2.8,
+  sketchiest: 1.3,
+  skillfully: 2.4,
+  skinflints: 1.3,
+  skippering: 1.3,
+  skirmishes: 2.3,
+  skittering: 2,
+  skylarking: 2,
+  skyrockets: 2.1,
+  skyscraper: 2.9,
+  skywriting: 2.1,
+  slackening: 1.6,
+  slanderers: 1.8,
+  slandering: 2.3,
+  slanderous: 2.4,
+  slathering: 1.8,
+  slaughters: 2.3,
+  sleepiness: 1.8,
+  sleepwalks: 2,
+  sleepyhead: 2.7,
+  sleeveless: 2,
+  slightness: 1.3,
+  slingshots: 2,
+  slipcovers: 2.2,
+  slipperier: 1.3,
+  slithering: 2.4,
+  slobbering: 2.8,
+  sloppiness: 2.1,
+  slumbering: 1.9,
+  slumberous: 1.3,
+  smartening: 1.8,
+  smattering: 2.2,
+  smokehouse: 2.5,
+  smokestack: 2.2,
+  smoldering: 2.7,
+  smoothness: 2.1,
+  smothering: 2.6,
+  snakebites: 1.6,
+  snapdragon: 1.3,
+  snickering: 2.6,
+  snorkeling: 2.7,
+  snowballed: 2.3,
+  snowblower: 2.5,
+  snowboards: 2,
+  snowdrifts: 1.8,
+  snowflakes: 2.8,
+  snowmobile: 2.5,
+  snowstorms: 1.6,
+  socialists: 2.2,
+  socialites: 2,
+  socialized: 2.1,
+  socializes: 1.6,
+  sociopaths: 2.3,
+  soldiering: 2.7,
+  soliciting: 3,
+  solicitors: 2.5,
+  solicitous: 2.1,
+  solicitude: 1.8,
+  solidarity: 2.9,
+  solidified: 2.2,
+  solidifies: 1.3,
+  somebodies: 2.1,
+  somersault: 2.7,
+  songwriter: 3,
+  soothingly: 1.3,
+  soothsayer: 2.1,
+  sophomores: 2.4,
+  sophomoric: 2.3,
+  sordidness: 1.6,
+  sororities: 2.1,
+  soundproof: 2.9,
+  soundtrack: 3,
+  sourpusses: 1.8,
+  southbound: 2.9,
+  southerner: 2.3,
+  southwards: 1.3,
+  sovereigns: 2.5,
+  spacecraft: 3.4,
+  spaceships: 2.7,
+  spacesuits: 2.1,
+  spattering: 1.3,
+  spearheads: 1.6,
+  specialist: 3.7,
+  specialize: 3.1,
+  specifying: 1.3,
+  spectacles: 2.9,
+  spectators: 3,
+  speculated: 2.6,
+  speculates: 1.6,
+  speculator: 2,
+  speechless: 3.2,
+  speedboats: 1.9,
+  spellbound: 2.2,
+  spellcheck: 2.1,
+  spermicide: 2.6,
+  sphincters: 1.6,
+  spiritless: 1.3,
+  spirituals: 1.9,
+  spitefully: 1.3,
+  splashdown: 2.2,
+  splattered: 3,
+  splendidly: 2.8,
+  splintered: 2.5,
+  spluttered: 1.3,
+  spoilsport: 2.3,
+  spoliation: 1.3,
+  sponsoring: 2.9,
+  sportscast: 1.6,
+  sportswear: 2.6,
+  spotlessly: 1.3,
+  spotlights: 2.2,
+  springiest: 1.6,
+  springtime: 3.2,
+  sprinklers: 3,
+  sprinkling: 2.6,
+  sputtering: 2.6,
+  spyglasses: 1.8,
+  squabbling: 2.5,
+  squandered: 2.8,
+  squelching: 2,
+  squiggling: 1.6,
+  squirreled: 1.9,
+  stabilized: 3.1,
+  stabilizer: 2.7,
+  stabilizes: 1.8,
+  stagecoach: 3,
+  stagehands: 2.4,
+  staggering: 3.2,
+  stagnation: 2,
+  staircases: 2.4,
+  stairwells: 2.5,
+  stalagmite: 1.3,
+  stalemated: 1.3,
+  stammerers: 1.3,
+  stammering: 2.4,
+  stampeding: 2.2,
+  standpoint: 3.1,
+  standstill: 2.7,
+  stargazers: 1.3,
+  starvation: 3.2,
+  statehouse: 2.1,
+  statements: 3.7,
+  staterooms: 1.9,
+  stationary: 3,
+  stationery: 3.1,
+  statistics: 3.5,
+  statuesque: 2.2,
+  staunchest: 1.6,
+  staunching: 1.3,
+  steadiness: 1.8,
+  steakhouse: 2.6,
+  stealthier: 1.3,
+  stealthily: 2.1,
+  steamboats: 1.8,
+  steamships: 1.6,
+  stenciling: 2.2,
+  stepfather: 3.5,
+  stepladder: 2.5,
+  stepmother: 3.6,
+  stepparent: 1.6,
+  stepsister: 2.5,
+  stereotype: 2.8,
+  sterilized: 2.8,
+  sterilizer: 1.6,
+  sterilizes: 1.8,
+  stewardess: 3.5,
+  stickiness: 1.8,
+  stiffeners: 1.9,
+  stiffening: 2.2,
+  stimulants: 2.6,
+  stimulated: 2.8,
+  stimulates: 2.7,
+  stinginess: 1.8,
+  stipulated: 2.6,
+  stipulates: 2.4,
+  stockpiled: 1.6,
+  stockpiles: 2.1,
+  stockyards: 2.3,
+  stoplights: 1.8,
+  storefront: 2.7,
+  storehouse: 2.5,
+  storminess: 1.3,
+  storybooks: 2.1,
+  stovepipes: 1.3,
+  straddling: 2.6,
+  stragglers: 2.6,
+  straggling: 1.9,
+  straighten: 4,
+  straighter: 2.8,
+  stranglers: 2.2,
+  strangling: 3.1,
+  stratagems: 1.6,
+  strategies: 3,
+  strategist: 2.6,
+  stratified: 1.3,
+  strawberry: 3.7,
+  streamline: 2.7,
+  streetcars: 1.9,
+  streetwise: 2.2,
+  strengthen: 3.2,
+  stretchers: 2.5,
+  stretching: 3.3,
+  strictness: 1.3,
+  strictures: 2,
+  stridently: 1.3,
+  strikeouts: 2.4,
+  strikingly: 2.1,
+  stringency: 1.6,
+  stringiest: 1.3,
+  striptease: 2.8,
+  stronghold: 3.1,
+  structural: 3.3,
+  structured: 2.8,
+  structures: 3.1,
+  struggling: 3.8,
+  strychnine: 2.6,
+  stubbornly: 2.1,
+  studiously: 1.3,
+  stuffiness: 1.3,
+  stunningly: 2.4,
+  stupefying: 1.9,
+  stupendous: 2.8,
+  stutterers: 1.6,
+  stuttering: 3,
+  subcompact: 1.8,
+  subculture: 2.1,
+  subdivided: 1.9,
+  subdivides: 1.3,
+  subheading: 1.6,
+  subjecting: 2.5,
+  subjection: 1.6,
+  subjective: 3,
+  subjugated: 2.2,
+  subjugates: 1.3,
+  subleasing: 1.3,
+  subletting: 2.6,
+  sublimated: 2,
+  sublimates: 1.9,
+  subliminal: 2.8,
+  submarines: 3.2,
+  submerging: 2,
+  submersion: 1.9,
+  submission: 3,
+  submissive: 2.9,
+  submitting: 2.6,
+  suborbital: 1.3,
+  subpoenaed: 3,
+  subroutine: 2,
+  subscribed: 2.5,
+  subscriber: 2.6,
+  subsection: 2.5,
+  subsequent: 3.1,
+  subsidiary: 2.7,
+  subsidized: 2.3,
+  subsidizes: 1.3,
+  subsisting: 1.3,
+  substances: 3.1,
+  substation: 2.8,
+  substitute: 3.7,
+  subsystems: 1.9,
+  subterfuge: 2.6,
+  subtitling: 2.4,
+  subtleties: 2.2,
+  subtracted: 1.9,
+  subversion: 2.2,
+  subversive: 3,
+  subverting: 2.1,
+  succeeding: 2.8,
+  successful: 4.3,
+  succession: 3,
+  successive: 2.2,
+  successors: 1.6,
+  succincter: 1.6,
+  succinctly: 2.8,
+  succulents: 1.6,
+  succumbing: 2.3,
+  suctioning: 2.1,
+  suddenness: 2.2,
+  sufferance: 2,
+  sufferings: 2.6,
+  sufficient: 3.7,
+  suffocated: 3.1,
+  suffocates: 2.3,
+  suffragist: 1.3,
+  suggesting: 4,
+  suggestion: 4.1,
+  suggestive: 2.7,
+  summarized: 1.8,
+  summarizes: 1.3,
+  summations: 2,
+  summertime: 3.1,
+  sunbathers: 1.3,
+  sunbathing: 2.6,
+  sunflowers: 2.7,
+  sunglasses: 3.6,
+  sunscreens: 1.3,
+  superhuman: 2.9,
+  supermodel: 3,
+  supernovae: 1.3,
+  supernovas: 1.3,
+  superpower: 2.8,
+  superseded: 2.2,
+  supersedes: 2.3,
+  supersized: 2,
+  supersonic: 2.6,
+  superstars: 2.5,
+  supervised: 3.1,
+  supervises: 2.2,
+  supervisor: 3.8,
+  supplanted: 2,
+  supplement: 3.1,
+  suppleness: 1.3,
+  supplicant: 1.9,
+  supplicate: 1.8,
+  supporters: 3,
+  supporting: 3.7,
+  supportive: 3.7,
+  supposedly: 3.7,
+  suppressed: 2.8,
+  suppresses: 2.1,
+  surfboards: 2.4,
+  surfeiting: 1.6,
+  surgically: 3,
+  surmounted: 1.3,
+  surpassing: 2.4,
+  surplussed: 1.3,
+  surprising: 3.8,
+  surrealism: 2.4,
+  surrealist: 2.1,
+  surrenders: 2.6,
+  surrogates: 2.4,
+  surrounded: 4.1,
+  suspecting: 3,
+  suspenders: 2.9,
+  suspending: 2.6,
+  suspension: 3.6,
+  suspicions: 3.5,
+  suspicious: 4.2,
+  sustaining: 2.7,
+  sustenance: 2.8,
+  swaggering: 2.4,
+  swallowing: 3.2,
+  sweatpants: 2.2,
+  sweatshirt: 3.4,
+  sweatshops: 2.4,
+  sweeteners: 1.8,
+  sweetening: 2.2,
+  sweetheart: 4.8,
+  sweetmeats: 1.6,
+  sweltering: 2.3,
+  switchback: 1.6,
+  sycophants: 2.2,
+  symbolized: 2,
+  symbolizes: 2.7,
+  symmetries: 1.3,
+  sympathies: 3.1,
+  sympathize: 3.2,
+  symphonies: 2.6,
+  symposiums: 1.3,
+  synagogues: 2.2,
+  syncopated: 2,
+  syndicated: 2.6,
+  syndicates: 2.2,
+  synonymous: 2.7,
+  synthesize: 2.3,
+  synthetics: 2.2,
+  syphilitic: 2,
+  systematic: 2.8,
+  tabernacle: 2.8,
+  tablecloth: 3,
+  tablespoon: 2.2,
+  tabulating: 1.3,
+  tabulation: 1.8,
+  tachometer: 1.8,
+  tactically: 2.2,
+  tacticians: 1.3,
+  tailgating: 2.5,
+  taillights: 2.4,
+  tambourine: 2.9,
+  tangential: 1.6,
+  tangerines: 2.2,
+  tantalized: 1.6,
+  tantamount: 2.5,
+  tapestries: 2.5,
+  tarantulas: 2.1,
+  tarnishing: 1.3,
+  taskmaster: 2.2,
+  tastefully: 2.6,
+  tattletale: 2.7,
+  tearjerker: 2,
+  technician: 3.4,
+  techniques: 3.5,
+  technocrat: 1.6,
+  technology: 4.2,
+  teetotaler: 2.1,
+  telecaster: 1.3,
+  telegraphs: 1.9,
+  telegraphy: 2,
+  telepathic: 2.8,
+  telephoned: 3.3,
+  telephones: 3.1,
+  telephonic: 2.2,
+  telescopes: 2.7,
+  telescopic: 2.4,
+  televising: 1.9,
+  television: 4.5,
+  temperance: 2.9,
+  temporally: 1.8,
+  temptation: 3.6,
+  temptingly: 1.3,
+  tendencies: 3.2,
+  tenderfoot: 2.7,
+  tenderized: 1.8,
+  tenderizer: 1.9,
+  tenderloin: 2.6,
+  tenderness: 3.4,
+  tendinitis: 1.6,
+  terminally: 2.7,
+  terminated: 3.5,
+  terminates: 2.1,
+  terminator: 3.1,
+  terrariums: 1.6,
+  terrifying: 3.6,
+  terrorists: 4.1,
+  terrorized: 2.8,
+  terrorizes: 1.8,
+  testaments: 2,
+  testifying: 3.3,
+  thankfully: 2.8,
+  theatrical: 3.4,
+  themselves: 4.7,
+  theologian: 2.4,
+  theorizing: 2.1,
+  therapists: 2.9,
+  thereabout: 1.8,
+  thereafter: 3.1,
+  thermionic: 1.3,
+  thermostat: 3.1,
+  thickening: 2.2,
+  thighbones: 1.8,
+  thimbleful: 1.9,
+  thirteenth: 2.9,
+  thoroughly: 3.7,
+  thoughtful: 3.9,
+  thousandth: 2.4,
+  threadbare: 2.1,
+  threatened: 4.2,
+  threescore: 1.8,
+  threesomes: 2.5,
+  thresholds: 1.3,
+  thrombosis: 2.5,
+  throttling: 1.8,
+  throughout: 4,
+  throughput: 2,
+  throwbacks: 1.6,
+  thumbnails: 1.6,
+  thumbscrew: 1.8,
+  thumbtacks: 2.1,
+  thundering: 3,
+  thunderous: 2.4,
+  tiebreaker: 2.4,
+  tightening: 2.9,
+  tightropes: 1.6,
+  timberland: 2.1,
+  timberline: 2.5,
+  timekeeper: 2.1,
+  timeliness: 1.3,
+  timepieces: 2.1,
+  timetables: 2.1,
+  tirelessly: 2.4,
+  tiresomely: 1.6,
+  titillated: 1.8,
+  toadstools: 2.1,
+  toiletries: 2.3,
+  tolerances: 2.1,
+  tolerantly: 1.6,
+  tolerating: 2.3,
+  tollbooths: 1.8,
+  tomahawked: 1.9,
+  tombstones: 2.4,
+  tomfoolery: 2.5,
+  toothaches: 1.9,
+  toothbrush: 3.7,
+  toothpaste: 3.5,
+  toothpicks: 2.9,
+  topography: 2.4,
+  torchlight: 1.9,
+  tormenting: 2.9,
+  tormentors: 2,
+  torrential: 2.1,
+  touchdowns: 3,
+  touchingly: 1.8,
+  touchstone: 2.3,
+  toughening: 1.6,
+  tournament: 4,
+  tourniquet: 3,
+  toxicology: 3,
+  trademarks: 2.1,
+  traditions: 3.3,
+  trafficked: 1.3,
+  trafficker: 2.2,
+  tragedians: 1.3,
+  tragically: 3.1,
+  traitorous: 2.7,
+  trajectory: 3.3,
+  trampoline: 2.8,
+  transacted: 2.2,
+  transcends: 2.7,
+  transcribe: 2.1,
+  transcript: 4.1,
+  transducer: 2.3,
+  transferal: 1.3,
+  transfixed: 1.6,
+  transforms: 2.6,
+  transfused: 1.3,
+  transgress: 2.1,
+  transience: 1.6,
+  transients: 2.4,
+  transistor: 2.8,
+  transiting: 1.9,
+  transition: 3.5,
+  transitive: 2.1,
+  transitory: 2.4,
+  translated: 3.4,
+  translates: 3.2,
+  translator: 3.4,
+  transmuted: 1.3,
+  transmutes: 1.3,
+  transpired: 2.6,
+  transpires: 1.9,
+  transplant: 3.7,
+  transports: 2.9,
+  transposed: 2.1,
+  transverse: 2.5,
+  trapezoids: 1.3,
+  traumatize: 2.3,
+  travelogue: 1.6,
+  traversing: 2.3,
+  travesties: 1.3,
+  treadmills: 1.8,
+  treasonous: 2.2,
+  treasurers: 1.3,
+  treasuring: 1.3,
+  treatments: 3.4,
+  tremendous: 3.9,
+  trespassed: 2.5,
+  trespasser: 2.1,
+  trespasses: 2.9,
+  triangular: 2.4,
+  triathlons: 1.3,
+  tricksters: 1.8,
+  triggering: 2.8,
+  trimesters: 1.9,
+  triplicate: 2.9,
+  triumphant: 3.1,
+  triumphing: 1.8,
+  triviality: 2,
+  trivialize: 2.5,
+  troubadour: 2.9,
+  truckloads: 2.1,
+  trumpeters: 2,
+  trumpeting: 2.1,
+  truncheons: 1.6,
+  truthfully: 3.4,
+  tubercular: 1.9,
+  tumbleweed: 2.6,
+  tumultuous: 2.3,
+  tunelessly: 1.9,
+  turbulence: 3.3,
+  turnaround: 2.7,
+  turnstiles: 3.1,
+  turntables: 2.1,
+  turpentine: 3,
+  turtledove: 2.5,
+  turtleneck: 2.9,
+  twittering: 2.1,
+  typesetter: 1.6,
+  typewriter: 3.5,
+  typewrites: 1.3,
+  tyrannical: 2.5,
+  tyrannized: 1.3,
+  ubiquitous: 2.7,
+  ulcerating: 1.3,
+  ulceration: 1.9,
+  ultimately: 3.8,
+  ultimatums: 2.5,
+  ultrasonic: 2.4,
+  ultrasound: 3.4,
+  unabridged: 1.6,
+  unaffected: 2.6,
+  unanswered: 3,
+  unassigned: 2,
+  unassisted: 2.3,
+  unassuming: 2.5,
+  unattached: 2.7,
+  unattended: 3,
+  unavailing: 1.8,
+  unbalanced: 2.8,
+  unbearable: 3.4,
+  unbearably: 2.4,
+  unbeatable: 2.9,
+  unbecoming: 2.8,
+  unbeliever: 1.9,
+  unblocking: 1.3,
+  unburdened: 2,
+  unbuttoned: 2.5,
+  uncensored: 2.2,
+  unchanging: 2.2,
+  uncleanest: 1.3,
+  uncommonly: 2.4,
+  uncoupling: 1.3,
+  uncovering: 2.6,
+  uncritical: 1.6,
+  uncultured: 1.8,
+  undeclared: 2.4,
+  undefeated: 3.3,
+  undefended: 2.3,
+  undeniable: 3,
+  undeniably: 2.4,
+  underbelly: 2.9,
+  underbrush: 2.2,
+  underclass: 1.8,
+  undercoats: 1.3,
+  undercover: 4.1,
+  undergoing: 2.8,
+  undergrads: 1.8,
+  underlined: 2.8,
+  underlines: 1.9,
+  underlings: 2.4,
+  underlying: 3.1,
+  undermined: 2.4,
+  undermines: 2.6,
+  underneath: 4.2,
+  underpants: 3.5,
+  underrated: 2.8,
+  underscore: 1.8,
+  undersells: 1.3,
+  undershirt: 2.5,
+  undershoot: 1.6,
+  undersides: 1.6,
+  undersized: 1.9,
+  understand: 5.7,
+  understate: 2,
+  understood: 4.5,
+  understudy: 3.3,
+  undertaken: 2.8,
+  undertaker: 3.2,
+  undertones: 1.8,
+  underwater: 3.8,
+  underworld: 3.6,
+  underwrite: 2.3,
+  undeserved: 2.1,
+  undetected: 3,
+  undeterred: 1.9,
+  undisputed: 2.8,
+  undressing: 2.8,
+  undulating: 2,
+  undulation: 1.3,
+  unearthing: 1.6,
+  uneasiness: 2.2,
+  uneducated: 2.7,
+  unemployed: 3.6,
+  unenviable: 1.3,
+  unerringly: 1.3,
+  uneventful: 2.9,
+  unexciting: 1.6,
+  unexpected: 3.9,
+  unexplored: 2.7,
+  unfairness: 2.3,
+  unfaithful: 3.4,
+  unfamiliar: 3.2,
+  unfastened: 2.3,
+  unfeasible: 1.3,
+  unfettered: 2.5,
+  unfinished: 3.5,
+  unflagging: 1.9,
+  unforeseen: 2.8,
+  unfriended: 1.3,
+  unfriendly: 3,
+  ungracious: 2,
+  ungrateful: 3.7,
+  unhappiest: 1.3,
+  unhindered: 1.3,
+  unhitching: 1.6,
+  uniformity: 1.9,
+  unilateral: 2.5,
+  unimpaired: 1.6,
+  uninformed: 2.5,
+  uninspired: 2.5,
+  unintended: 2.3,
+  uninviting: 1.6,
+  unionizing: 1.3,
+  uniqueness: 2.5,
+  universals: 1.3,
+  university: 4.4,
+  unkindness: 2,
+  unknowable: 2.3,
+  unlawfully: 2.2,
+  unlearning: 1.3,
+  unleashing: 2.5,
+  unleavened: 1.3,
+  unlicensed: 2.6,
+  unluckiest: 2.1,
+  unmannerly: 1.8,
+  unmerciful: 2,
+  unmodified: 1.6,
+  unnumbered: 2,
+  unobserved: 2.1,
+  unoccupied: 2.5,
+  unofficial: 3,
+  unoriginal: 2.3,
+  unorthodox: 3.1,
+  unpleasant: 3.8,
+  unplugging: 2.1,
+  unpolluted: 1.8,
+  unprepared: 3.2,
+  unprompted: 1.3,
+  unprovoked: 2.7,
+  unpunished: 2.8,
+  unraveling: 2.4,
+  unreadable: 2.1,
+  unrealized: 1.6,
+  unrecorded: 1.9,
+  unreleased: 1.6,
+  unreliable: 3.2,
+  unrelieved: 1.3,
+  unrequited: 2.6,
+  unresolved: 2.9,
+  unromantic: 2.7,
+  unsanitary: 2.6,
+  unschooled: 1.8,
+  unscramble: 2.3,
+  unscrewing: 2,
+  unseasoned: 1.3,
+  unsettling: 2.9,
+  unshakable: 2.3,
+  unsheathed: 1.6,
+  unskillful: 1.3,
+  unsociable: 2.1,
+  unspecific: 1.6,
+  unsteadily: 1.3,
+  unsuitable: 2.7,
+  unswerving: 1.6,
+  untangling: 2,
+  unthinking: 1.6,
+  untidiness: 1.3,
+  untroubled: 1.9,
+  untruthful: 2,
+  unverified: 1.9,
+  unwavering: 2.6,
+  unworkable: 2.1,
+  unwrapping: 2.3,
+  unyielding: 2.2,
+  upbringing: 3.1,
+  upholstery: 3.1,
+  uproarious: 1.6,
+  upstanding: 3,
+  urinalysis: 2.4,
+  urologists: 1.6,
+  usefulness: 2.7,
+  usherettes: 1.3,
+  usurpation: 1.6,
+  utterances: 1.9,
+  vacationed: 1.3,
+  vacationer: 1.3,
+  vaccinated: 2.7,
+  vacillates: 1.6,
+  valentines: 2.5,
+  validating: 2,
+  validation: 2.8,
+  vandalized: 2.6,
+  vanquished: 3.3,
+  vanquishes: 1.8,
+  vaporizing: 1.8,
+  variations: 3,
+  variegated: 1.6,
+  varnishing: 1.3,
+  vaudeville: 3.1,
+  vegetables: 3.8,
+  vegetarian: 3.6,
+  vegetation: 2.9,
+  vegetative: 2.7,
+  vehemently: 2.4,
+  velocities: 1.8,
+  veneration: 1.6,
+  ventilated: 2.2,
+  ventilates: 1.3,
+  ventilator: 3.1,
+  ventricles: 2.2,
+  verbalized: 1.6,
+  verifiable: 2.1,
+  vermicelli: 2,
+  vernacular: 2.7,
+  vertebrate: 2.1,
+  vertically: 2.7,
+  vestibules: 1.3,
+  veterinary: 2.8,
+  vibraphone: 1.3,
+  vibrations: 3.3,
+  victimized: 2.9,
+  victorious: 3.1,
+  videotaped: 2.8,
+  videotapes: 3,
+  viewfinder: 1.9,
+  viewpoints: 2.2,
+  vigilantes: 2.8,
+  vigilantly: 1.6,
+  vigorously: 2.6,
+  villainies: 1.3,
+  villainous: 2.5,
+  vindicated: 2.6,
+  vindicates: 1.3,
+  vindicator: 1.3,
+  vindictive: 3,
+  violations: 3.3,
+  violinists: 1.9,
+  virtuosity: 2.2,
+  virtuously: 1.3,
+  visibility: 3.1,
+  visitation: 3.2,
+  visualized: 2.2,
+  vocabulary: 3.4,
+  vocalizing: 2.3,
+  vocational: 2.5,
+  vociferous: 1.3,
+  volatility: 1.9,
+  volleyball: 3.1,
+  volubility: 1.3,
+  voluminous: 1.6,
+  volunteers: 3.7,
+  voluptuous: 2.9,
+  vouchsafed: 1.6,
+  vouchsafes: 1.3,
+  vulcanized: 2.2,
+  vulnerable: 3.9,
+  waistcoats: 2,
+  waistlines: 1.3,
+  waitresses: 3.2,
+  wallflower: 2.6,
+  wallpapers: 1.6,
+  wanderlust: 1.9,
+  wantonness: 1.6,
+  warehoused: 1.3,
+  warehouses: 2.8,
+  warmongers: 2,
+  warranties: 2.1,
+  washcloths: 1.8,
+  wassailing: 1.3,
+  wastelands: 2.1,
+  wastepaper: 2.5,
+  wastewater: 1.3,
+  watchbands: 1.3,
+  watchmaker: 2.1,
+  watchtower: 2.6,
+  watchwords: 1.6,
+  watercolor: 2,
+  watercress: 1.9,
+  waterfalls: 2.7,
+  waterfront: 3,
+  watermarks: 1.8,
+  watermelon: 3.3,
+  waterproof: 3,
+  waterspout: 2,
+  watertight: 2.6,
+  waterworks: 2.7,
+  wavelength: 2.8,
+  weaknesses: 3.3,
+  wealthiest: 2.7,
+  weaponless: 1.8,
+  weathering: 1.3,
+  weatherman: 3.3,
+  weathermen: 1.9,
+  webcasting: 1.3,
+  webmasters: 1.3,
+  weeknights: 2,
+  weightless: 2.6,
+  wellington: 3.5,
+  wellspring: 2.1,
+  werewolves: 3.2,
+  westerlies: 1.3,
+  westerners: 2.6,
+  whatsoever: 4,
+  wheelchair: 3.8,
+  wherefores: 1.6,
+  whimpering: 3.4,
+  whirlpools: 1.9,
+  whirlwinds: 1.3,
+  whispering: 3.9,
+  whitewalls: 2.1,
+  wholesaler: 2.2,
+  wholesales: 1.3,
+  whomsoever: 2,
+  whorehouse: 3.2,
+  wickedness: 2.9,
+  widescreen: 1.9,
+  widespread: 3,
+  wildebeest: 2.6,
+  wilderness: 3.6,
+  wildflower: 1.8,
+  windjammer: 2.5,
+  windowpane: 2.4,
+  windowsill: 2.8,
+  windscreen: 2.4,
+  windshield: 3.5,
+  windstorms: 1.6,
+  wingspread: 1.6,
+  winterized: 1.3,
+  wintertime: 2.6,
+  wisecracks: 2.7,
+  witchcraft: 3.4,
+  withdrawal: 3.5,
+  withstands: 1.6,
+  witnessing: 3.1,
+  witticisms: 1.6,
+  wolverines: 2.4,
+  womanizers: 2.1,
+  womanizing: 1.8,
+  womenfolks: 1.9,
+  wonderland: 3.3,
+  wonderment: 2.1,
+  wondrously: 1.3,
+  woodchucks: 1.3,
+  woodcutter: 2.4,
+  woodpecker: 3,
+  workaholic: 2.7,
+  workhouses: 1.9,
+  workingman: 2.4,
+  workingmen: 1.6,
+  worksheets: 1.9,
+  worshipers: 1.8,
+  worshipful: 2,
+  worshiping: 1.8,
+  worthiness: 2.4,
+  worthwhile: 3.6,
+  wraparound: 2.1,
+  wretchedly: 1.6,
+  wristbands: 1.3,
+  wristwatch: 3.1,
+  wrongdoers: 2,
+  wrongdoing: 2.7,
+  wrongfully: 2.7,
+  xenophobia: 1.8,
+  xenophobic: 1.8,
+  xylophones: 1.3,
+  yardsticks: 1.6,
+  yesterdays: 2.7,
+  yesteryear: 2.2,
+  youngsters: 3.2,
+  yourselves: 4.5,
+  youthfully: 1.3,
+  zigzagging: 1.8,
+  zoological: 2.2,
+  zoologists: 1.8
+};
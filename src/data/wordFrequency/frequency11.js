@@ -0,0 +1,3488 @@
+// src/data/wordFrequency/frequency11.js
+//
+// 11-LETTER WORD FREQUENCY (generated by scripts/buildWordFrequency.js - do not edit by hand)
+//
+// Zipf frequency (log10 of occurrences per billion words) from SUBTLEX-US film
+// subtitles. ~1 = rare, 3 = uncommon, 4-5 = everyday words. Words that never
+// appear in the corpus are left out (treated as 0).
+//
+// Source: subtlex-word-frequencies npm package (ISC, Copyright (c) 2015 Zeke Sikelianos)
+
+/**
+ * Commonness score per word
+ * Total: 3472 of 4919 words found in the corpus
+ */
+export const WORD_FREQUENCY = {
+  abandonment: 3,
+  abbreviated: 2.5,
+  aberrations: 2.2,
+  abnormality: 2.7,
+  abomination: 3.1,
+  aboriginals: 1.3,
+  abortionist: 1.9,
+  abracadabra: 3,
+  absenteeism: 2,
+  abstentions: 1.3,
+  abstracting: 1.3,
+  abstraction: 2.5,
+  absurdities: 2.1,
+  abusiveness: 1.3,
+  academician: 1.3,
+  accelerated: 3,
+  accelerates: 2,
+  accelerator: 3.1,
+  accentuated: 1.6,
+  accentuates: 1.9,
+  acceptances: 1.6,
+  accessories: 3.2,
+  accidentals: 1.3,
+  acclamation: 1.3,
+  acclimating: 1.8,
+  acclimatize: 1.3,
+  accommodate: 3.3,
+  accompanied: 3.3,
+  accompanies: 2.4,
+  accompanist: 2.3,
+  accomplices: 3.1,
+  accordingly: 3.3,
+  accountable: 3.1,
+  accountancy: 1.8,
+  accountants: 3,
+  accrediting: 1.3,
+  accumulated: 2.9,
+  accumulates: 2.3,
+  accumulator: 1.3,
+  accusations: 3.5,
+  achievement: 3.5,
+  acknowledge: 3.8,
+  acquainting: 1.6,
+  acquiescent: 1.3,
+  acquiescing: 1.6,
+  acquisition: 3.2,
+  acquisitive: 1.8,
+  acrimonious: 2.1,
+  actualities: 1.3,
+  acupuncture: 2.9,
+  adaptations: 1.8,
+  adjournment: 2.3,
+  adjudicated: 2.1,
+  adjudicator: 1.9,
+  adjustments: 3.1,
+  administers: 2.1,
+  admonishing: 1.6,
+  admonitions: 1.3,
+  adolescence: 2.9,
+  adolescents: 2.8,
+  adulterated: 1.3,
+  advancement: 3.1,
+  adventurers: 2.3,
+  adventuress: 2.3,
+  adventuring: 1.9,
+  adventurous: 3.1,
+  adversarial: 2.4,
+  adversaries: 2.8,
+  adversities: 1.8,
+  advertisers: 2.7,
+  advertising: 3.9,
+  aerodynamic: 2.6,
+  aeronautics: 2.2,
+  affectation: 2.1,
+  affiliation: 2.7,
+  affirmation: 2.7,
+  affirmative: 3.7,
+  afflictions: 2.2,
+  aficionados: 2,
+  afterburner: 1.6,
+  aftereffect: 1.8,
+  aftershaves: 1.3,
+  aftershocks: 1.3,
+  agglutinate: 1.3,
+  aggravating: 2.7,
+  aggravation: 3.1,
+  aggregating: 1.6,
+  aggregation: 1.6,
+  agriculture: 3,
+  airbrushing: 1.6,
+  airsickness: 1.6,
+  albatrosses: 1.6,
+  algorithmic: 2.3,
+  allegations: 3.3,
+  allegiances: 2.2,
+  allegorical: 2.2,
+  alleviating: 1.9,
+  allocations: 1.8,
+  alphabetize: 2,
+  alterations: 3,
+  altercation: 2.9,
+  alternately: 1.9,
+  alternating: 2.6,
+  alternation: 1.6,
+  alternative: 4,
+  alternators: 1.6,
+  amalgamated: 2.1,
+  ambassadors: 2.9,
+  ambiguities: 1.9,
+  ambitiously: 1.3,
+  ambivalence: 2.4,
+  ameliorated: 1.3,
+  amphetamine: 2.5,
+  amputations: 2.1,
+  anachronism: 2,
+  anarchistic: 1.3,
+  anchorwoman: 2.4,
+  androgynous: 2.1,
+  anesthetics: 2.2,
+  anesthetist: 2.1,
+  anesthetize: 2.4,
+  angelically: 1.8,
+  angioplasty: 2.5,
+  angiosperms: 1.3,
+  animosities: 1.6,
+  annihilated: 2.8,
+  annihilates: 1.3,
+  anniversary: 4.3,
+  annotations: 1.3,
+  anonymously: 2.8,
+  antagonists: 2.2,
+  antagonized: 1.9,
+  antagonizes: 1.6,
+  antecedents: 2,
+  antechamber: 1.9,
+  anthologies: 1.3,
+  antibiotics: 3.6,
+  anticipated: 3.4,
+  anticipates: 2.1,
+  antiquarian: 1.6,
+  antiquities: 2.7,
+  antiseptics: 1.8,
+  antislavery: 1.3,
+  aphrodisiac: 3.2,
+  apocalyptic: 2.5,
+  apologizing: 3.4,
+  apostrophes: 1.3,
+  appallingly: 1.8,
+  apparatuses: 1.6,
+  apparitions: 2,
+  appearances: 3.5,
+  appeasement: 2.3,
+  appellation: 2.2,
+  application: 4,
+  appointment: 4.5,
+  apportioned: 1.6,
+  appreciable: 1.8,
+  appreciably: 1.3,
+  appreciated: 3.8,
+  appreciates: 3.5,
+  apprehended: 3.3,
+  apprenticed: 2.1,
+  apprentices: 2.3,
+  approaching: 4.1,
+  approbation: 2.1,
+  appropriate: 4.1,
+  approximate: 3.1,
+  arbitrarily: 2.5,
+  arbitration: 2.7,
+  archaeology: 2.9,
+  archbishops: 2.1,
+  archdiocese: 2.8,
+  archipelago: 2.1,
+  aristocracy: 2.8,
+  aristocrats: 3.3,
+  arraignment: 3.1,
+  arrangement: 4,
+  articulated: 2.3,
+  articulates: 1.3,
+  ascertained: 2.4,
+  asphyxiated: 2.3,
+  asphyxiates: 1.3,
+  aspirations: 3.1,
+  assassinate: 3.3,
+  assemblyman: 2.9,
+  assemblymen: 1.3,
+  assessments: 2.4,
+  assiduously: 2,
+  assignation: 2.3,
+  assignments: 3.5,
+  assimilated: 2.6,
+  associating: 2.7,
+  association: 3.9,
+  associative: 2.4,
+  assumptions: 3.1,
+  astigmatism: 2.3,
+  astonishing: 3.2,
+  astringents: 1.3,
+  astrologers: 2.2,
+  astronomers: 2.5,
+  atmospheres: 2.1,
+  atmospheric: 3,
+  atrociously: 2.1,
+  attachments: 2.9,
+  attainments: 1.3,
+  attentively: 2.5,
+  attenuating: 1.3,
+  attenuation: 1.6,
+  attractions: 2.9,
+  attributing: 1.8,
+  attribution: 1.9,
+  auctioneers: 1.6,
+  audiovisual: 2.3,
+  auditioning: 3.3,
+  auditoriums: 1.8,
+  authorities: 4.1,
+  authorizing: 2.8,
+  autographed: 3.1,
+  automobiles: 3,
+  auxiliaries: 2.3,
+  awkwardness: 2.8,
+  babysitters: 2.7,
+  babysitting: 3.4,
+  backgrounds: 3,
+  backhanding: 1.6,
+  backpackers: 1.3,
+  backpacking: 2.8,
+  backslapper: 1.3,
+  backsliding: 1.9,
+  backstretch: 2.5,
+  backtracked: 2.1,
+  badmouthing: 2.2,
+  balloonists: 1.6,
+  ballplayers: 2.5,
+  bamboozling: 1.3,
+  bankrolling: 2.2,
+  bankrupting: 1.8,
+  barbershops: 1.3,
+  barbiturate: 1.6,
+  barnstormed: 1.3,
+  barricading: 2.1,
+  bashfulness: 1.3,
+  basketballs: 2.5,
+  bastardized: 1.8,
+  battlefield: 3.5,
+  battlements: 2.6,
+  battleships: 2.8,
+  beachcomber: 2.2,
+  beastliness: 1.3,
+  beauticians: 1.6,
+  beautifully: 3.8,
+  beautifying: 1.3,
+  befriending: 2.2,
+  beleaguered: 2.3,
+  belligerent: 2.8,
+  bellyaching: 2.6,
+  bellybutton: 2.8,
+  benediction: 2.4,
+  benefaction: 1.3,
+  benefactors: 2.5,
+  beneficence: 1.3,
+  beneficiary: 3.1,
+  benevolence: 2.6,
+  bequeathing: 1.8,
+  bereavement: 2.7,
+  besmirching: 1.3,
+  bestsellers: 1.9,
+  bewildering: 2.3,
+  bifurcation: 1.3,
+  bilaterally: 2.6,
+  billionaire: 3.3,
+  biochemical: 2.9,
+  biochemists: 1.9,
+  biofeedback: 2,
+  biographers: 1.8,
+  biographies: 2.4,
+  birdbrained: 1.3,
+  bisexuality: 1.6,
+  bittersweet: 2.7,
+  blackballed: 2.5,
+  blackboards: 2,
+  blackguards: 1.3,
+  blacklisted: 2.7,
+  blackmailed: 3.3,
+  blackmailer: 3,
+  blacksmiths: 2.1,
+  blasphemers: 1.9,
+  blasphemies: 1.6,
+  blaspheming: 1.9,
+  blasphemous: 2.6,
+  blessedness: 1.9,
+  blindfolded: 3.1,
+  blindsiding: 1.6,
+  blockbuster: 3,
+  blockhouses: 1.3,
+  bloodhounds: 2.8,
+  bloodmobile: 1.6,
+  bloodstains: 2.9,
+  bloodstream: 3.2,
+  bloodsucker: 2.5,
+  blowtorches: 1.3,
+  bludgeoning: 2.1,
+  blueberries: 3,
+  blueprinted: 1.6,
+  blunderbuss: 2.1,
+  bobsledding: 2.2,
+  boilerplate: 2.6,
+  bombardiers: 1.3,
+  bombardment: 2.9,
+  bookkeepers: 1.8,
+  bookkeeping: 2.9,
+  booksellers: 2.1,
+  bookshelves: 2.5,
+  boondoggled: 1.3,
+  bootleggers: 2.5,
+  bootlegging: 2.5,
+  borderlands: 1.3,
+  borderlines: 1.3,
+  bottlenecks: 1.6,
+  bountifully: 1.3,
+  bourgeoisie: 2.5,
+  boysenberry: 2.6,
+  brainstorms: 1.3,
+  brainwashed: 3.2,
+  brainwashes: 1.3,
+  brandishing: 2.3,
+  breadbasket: 2.3,
+  breadwinner: 2.5,
+  breakfasted: 1.6,
+  breastplate: 2.4,
+  breastworks: 1.3,
+  bricklayers: 1.6,
+  bricklaying: 1.3,
+  bridesmaids: 3.2,
+  brightening: 2.1,
+  brilliantly: 3.1,
+  broadcaster: 2.1,
+  broadswords: 1.9,
+  broomsticks: 2.5,
+  brotherhood: 3.6,
+  browbeating: 1.8,
+  brownstones: 1.8,
+  brutalities: 1.3,
+  brutalizing: 1.8,
+  bucktoothed: 2.2,
+  bulldogging: 1.6,
+  bulletproof: 3.4,
+  bullfighter: 2.8,
+  bullshitted: 2.1,
+  bureaucracy: 2.7,
+  bureaucrats: 2.8,
+  burglarized: 2.3,
+  bushwhacked: 2.3,
+  bushwhacker: 1.6,
+  businessman: 3.9,
+  businessmen: 3.4,
+  butterflies: 3.4,
+  buttonholed: 1.3,
+  buttonholes: 1.8,
+  buttressing: 1.3,
+  cacophonous: 1.6,
+  calculating: 3.1,
+  calculation: 2.8,
+  calculators: 2.3,
+  calibrating: 1.8,
+  calibration: 2.3,
+  calligraphy: 2.7,
+  callousness: 2.2,
+  camaraderie: 2.7,
+  camouflaged: 2.4,
+  campaigners: 1.3,
+  campaigning: 2.9,
+  campgrounds: 1.8,
+  candelabras: 1.8,
+  candelabrum: 1.3,
+  candlelight: 3.2,
+  candlestick: 2.7,
+  cannibalism: 2.8,
+  cannibalize: 2.1,
+  cannonading: 1.3,
+  cannonballs: 2.2,
+  cantaloupes: 2.4,
+  capacitance: 1.3,
+  capillaries: 2.3,
+  capitalists: 2.6,
+  capitalized: 2.3,
+  capitalizes: 1.3,
+  capitulated: 1.3,
+  cappuccinos: 2.6,
+  captivating: 2.2,
+  carbonation: 2,
+  carburetors: 2.1,
+  carcinogens: 1.9,
+  cardiograms: 1.6,
+  caricatured: 1.6,
+  caricatures: 2.1,
+  carjackings: 1.6,
+  carnivorous: 2.7,
+  carsickness: 1.3,
+  cartography: 2.3,
+  cartoonists: 1.6,
+  cartwheeled: 1.3,
+  caseworkers: 1.3,
+  cataclysmic: 2.5,
+  catapulting: 1.9,
+  catastrophe: 3.4,
+  catchphrase: 2.6,
+  categorical: 1.3,
+  categorized: 2.1,
+  categorizes: 1.9,
+  caterpillar: 3,
+  cauliflower: 2.7,
+  causalities: 1.8,
+  cauterizing: 1.3,
+  ceaselessly: 2.1,
+  celebrating: 4,
+  celebration: 4,
+  celebratory: 2.4,
+  celebrities: 3.6,
+  centerfolds: 1.6,
+  centerpiece: 2.8,
+  centimeters: 3.2,
+  centralized: 2.1,
+  centrifugal: 2.5,
+  centrifuges: 1.3,
+  centripetal: 1.6,
+  ceremonious: 1.8,
+  certainties: 2.1,
+  certifiable: 2.9,
+  certificate: 4,
+  chainsawing: 1.3,
+  chairperson: 2.1,
+  chalkboards: 1.6,
+  challengers: 2.4,
+  challenging: 3.6,
+  chamberlain: 3.1,
+  chambermaid: 2.8,
+  championing: 1.6,
+  chancellery: 2.1,
+  chancellors: 1.3,
+  chandeliers: 2.5,
+  changelings: 1.3,
+  changeovers: 1.6,
+  chanticleer: 1.6,
+  chaperoning: 2.6,
+  charbroiled: 1.8,
+  charioteers: 1.6,
+  charismatic: 2.9,
+  chauffeured: 2.1,
+  chauvinists: 1.3,
+  cheapskates: 1.8,
+  checkpoints: 2.8,
+  cheerleader: 3.8,
+  cheesecakes: 1.9,
+  cheesecloth: 1.6,
+  chessboards: 1.6,
+  chiaroscuro: 2.1,
+  chimpanzees: 2.9,
+  chinchillas: 1.9,
+  chiropodist: 1.8,
+  chitchatted: 1.3,
+  chlorinated: 1.8,
+  chlorophyll: 2.4,
+  cholesterol: 3.3,
+  choreograph: 2.3,
+  christening: 2.9,
+  chromosomes: 2.9,
+  chronically: 2.3,
+  chroniclers: 1.6,
+  chronicling: 2,
+  chronometer: 2.3,
+  churchgoers: 2,
+  churchyards: 1.8,
+  circulating: 3,
+  circulation: 3.6,
+  circulatory: 2.7,
+  circumcised: 2.9,
+  circumspect: 2.3,
+  circumvents: 1.3,
+  citizenship: 3.1,
+  clairvoyant: 2.8,
+  clandestine: 2.9,
+  clarinetist: 1.3,
+  classically: 2.5,
+  classicists: 1.8,
+  classifieds: 2.7,
+  classifying: 2.3,
+  cleanliness: 2.8,
+  cliffhanger: 2.4,
+  clodhoppers: 1.8,
+  clothesline: 2.6,
+  clothespins: 1.9,
+  cloudbursts: 1.9,
+  coagulating: 1.8,
+  coagulation: 2.1,
+  coalescence: 1.6,
+  coauthoring: 1.3,
+  cobblestone: 2.2,
+  cockroaches: 3.4,
+  cocksuckers: 3.2,
+  codependent: 2.2,
+  coefficient: 2.2,
+  coexistence: 2.3,
+  coffeehouse: 2.8,
+  coincidence: 4.3,
+  collaborate: 2.8,
+  collapsible: 2.4,
+  collarbones: 1.6,
+  collectible: 2.3,
+  collections: 3.1,
+  colonialism: 2.5,
+  colonialist: 1.6,
+  colonoscopy: 2.7,
+  combination: 4.1,
+  combustible: 2.5,
+  comeuppance: 2.2,
+  comfortable: 4.7,
+  comfortably: 3.2,
+  commandants: 1.3,
+  commandment: 3.2,
+  commemorate: 3,
+  commendable: 2.9,
+  commendably: 1.3,
+  commentator: 3.4,
+  commercials: 3.7,
+  commingling: 1.9,
+  commiserate: 2.2,
+  commissions: 2.8,
+  commitments: 3.1,
+  commodities: 2.7,
+  commonplace: 2.9,
+  communicate: 3.9,
+  communiques: 1.9,
+  communistic: 1.9,
+  communities: 3.1,
+  commutation: 1.6,
+  comparative: 2.9,
+  comparisons: 2.6,
+  compartment: 3.8,
+  compatriots: 2.2,
+  compensated: 2.9,
+  compensates: 2,
+  competences: 1.6,
+  competently: 1.6,
+  competition: 4.3,
+  competitive: 3.6,
+  competitors: 3.3,
+  compilation: 2.4,
+  complacency: 2.4,
+  complainant: 2.5,
+  complainers: 1.8,
+  complaining: 4,
+  complements: 2.1,
+  complexions: 1.6,
+  complicated: 4.4,
+  complicates: 2.6,
+  compliments: 3.8,
+  comportment: 1.6,
+  composition: 3.4,
+  compounding: 1.9,
+  comprehends: 1.9,
+  compressing: 2,
+  compression: 3.1,
+  compressors: 1.6,
+  compromised: 3.7,
+  compromises: 3,
+  comptroller: 1.8,
+  compulsions: 2.3,
+  compunction: 2.4,
+  computation: 1.9,
+  computerize: 1.3,
+  comradeship: 2.2,
+  concatenate: 1.6,
+  concealment: 2.7,
+  conceivable: 3.1,
+  conceivably: 2.8,
+  concentrate: 4.2,
+  conceptions: 2,
+  concessions: 2.8,
+  conclusions: 3.7,
+  concoctions: 1.8,
+  concomitant: 1.8,
+  concordance: 1.3,
+  concurrence: 1.6,
+  concussions: 2.4,
+  conditional: 2.5,
+  conditioned: 3.2,
+  conditioner: 3.3,
+  condolences: 3.5,
+  condominium: 2.5,
+  confections: 1.6,
+  confederacy: 2.7,
+  confederate: 3.3,
+  conferences: 3.1,
+  confessions: 3.2,
+  confidantes: 1.3,
+  confidences: 2.3,
+  confidently: 2.4,
+  confinement: 2.9,
+  confiscated: 3.3,
+  confiscates: 1.8,
+  conflicting: 2.9,
+  conformance: 1.3,
+  confounding: 2.2,
+  confronting: 2.8,
+  congregated: 1.9,
+  congregates: 1.3,
+  congressman: 3.8,
+  congressmen: 3,
+  conjectural: 1.3,
+  conjectures: 1.8,
+  conjugating: 2,
+  conjugation: 1.3,
+  conjunction: 3.1,
+  connections: 3.9,
+  connoisseur: 2.8,
+  connotation: 2.4,
+  consciences: 2.4,
+  consciously: 3,
+  conscripted: 1.9,
+  consecrated: 2.8,
+  consecrates: 1.3,
+  consecutive: 3.2,
+  consequence: 3.5,
+  conservator: 2.2,
+  considerate: 3.5,
+  considering: 4.3,
+  consignment: 2.8,
+  consistency: 2.9,
+  consolation: 3.6,
+  consolidate: 2.7,
+  conspicuous: 3.2,
+  conspirator: 2.3,
+  constipated: 2.9,
+  constituent: 2.1,
+  constituted: 2.5,
+  constitutes: 3.1,
+  constrained: 2.4,
+  constraints: 2.5,
+  constricted: 2.1,
+  constrictor: 2.4,
+  constructed: 3.2,
+  constructor: 1.6,
+  consultants: 2.9,
+  consumables: 2,
+  consumerism: 2.2,
+  consummated: 2.8,
+  consummates: 1.3,
+  consumption: 3.3,
+  consumptive: 1.3,
+  containment: 3.3,
+  contaminant: 1.8,
+  contaminate: 2.8,
+  contemplate: 3.1,
+  contentedly: 2,
+  contentious: 2.2,
+  contentment: 2.6,
+  contestants: 3.4,
+  continental: 3.5,
+  contingency: 3.2,
+  contingents: 1.6,
+  continually: 3,
+  continuance: 3,
+  contortions: 1.8,
+  contracting: 2.7,
+  contraction: 3,
+  contractors: 3,
+  contractual: 2.3,
+  contradicts: 2.4,
+  contraption: 3.2,
+  contrasting: 2,
+  contravened: 1.6,
+  contravenes: 1.6,
+  contretemps: 2,
+  contributed: 3.2,
+  contributes: 2.5,
+  contributor: 2.5,
+  contrivance: 2,
+  controllers: 2.7,
+  controlling: 3.6,
+  controversy: 3.2,
+  convalesced: 1.3,
+  convalesces: 1.3,
+  convenience: 3.7,
+  conventions: 3.2,
+  convergence: 2.4,
+  conversions: 2,
+  convertible: 3.5,
+  conveyances: 1.6,
+  convictions: 3.4,
+  convocation: 1.8,
+  convolution: 1.3,
+  convulsions: 2.7,
+  cooperating: 3.3,
+  cooperation: 3.9,
+  cooperative: 3.3,
+  coordinated: 3,
+  coordinates: 3.8,
+  coordinator: 3.2,
+  copperheads: 1.8,
+  copycatting: 1.6,
+  copyrighted: 2.1,
+  copywriters: 1.3,
+  cornerstone: 2.8,
+  cornflowers: 2.1,
+  coronations: 1.6,
+  corporation: 3.9,
+  correctable: 2,
+  corrections: 3.2,
+  correctness: 2.4,
+  correlating: 1.6,
+  correlation: 2.8,
+  correlative: 1.3,
+  corresponds: 2.5,
+  corroborate: 3,
+  corruptible: 2.3,
+  corruptions: 1.6,
+  corruptness: 1.3,
+  cosmetology: 2.2,
+  cosmologies: 1.6,
+  cosmologist: 1.3,
+  cottonmouth: 1.6,
+  cottonwoods: 1.6,
+  countenance: 2.9,
+  counteracts: 1.9,
+  counterfeit: 3.5,
+  countermand: 2.2,
+  counterpart: 2.7,
+  countersign: 2.2,
+  countrified: 1.3,
+  countryside: 3.5,
+  courteously: 1.8,
+  courthouses: 1.3,
+  cowpunchers: 1.3,
+  crackerjack: 2.7,
+  cranberries: 3,
+  crawlspaces: 1.3,
+  creationism: 2.5,
+  credentials: 3.5,
+  credibility: 3.5,
+  crematorium: 2.6,
+  crestfallen: 2.1,
+  criminology: 2.5,
+  criticizing: 3.1,
+  crookedness: 1.6,
+  crucifixion: 2.9,
+  crustaceans: 2.1,
+  cryptograms: 1.3,
+  crystalline: 2.5,
+  crystallize: 1.9,
+  culminating: 2.4,
+  culmination: 2.6,
+  culpability: 2.1,
+  cultivating: 2.5,
+  cultivation: 2.2,
+  cummerbunds: 1.6,
+  cunnilingus: 2.3,
+  curiosities: 2.3,
+  curtailment: 1.3,
+  customarily: 1.8,
+  customizing: 1.3,
+  cybernetics: 1.9,
+  cylindrical: 2.2,
+  dangerously: 3.2,
+  daydreamers: 1.3,
+  daydreaming: 3,
+  deactivated: 2.9,
+  deactivates: 1.3,
+  dealerships: 2.5,
+  debarkation: 1.8,
+  debilitated: 2.1,
+  debriefings: 1.8,
+  decapitated: 2.9,
+  decapitates: 1.3,
+  deceitfully: 1.9,
+  deceptively: 1.9,
+  deciphering: 2.4,
+  declaration: 3.5,
+  declination: 2,
+  decomposing: 2.8,
+  decorations: 3.4,
+  decrepitude: 1.6,
+  dedications: 1.6,
+  deductibles: 1.6,
+  defenseless: 3.1,
+  defensively: 2.4,
+  deferential: 2,
+  definitions: 2.8,
+  deformation: 1.8,
+  deformities: 2.4,
+  degenerated: 2.6,
+  degenerates: 2.7,
+  degradation: 2.9,
+  dehumanizes: 1.3,
+  dehydrating: 2,
+  dehydration: 2.9,
+  delectation: 1.8,
+  delegations: 1.9,
+  deleterious: 2.2,
+  deliberated: 1.6,
+  deliberates: 1.3,
+  deliciously: 2.5,
+  delineating: 1.3,
+  delineation: 1.3,
+  delinquency: 2.7,
+  delinquents: 3.1,
+  deliriously: 2.5,
+  deliverance: 2.8,
+  delphiniums: 1.6,
+  demagnetize: 1.9,
+  demagoguery: 1.6,
+  demarcation: 2,
+  demobilized: 1.8,
+  democracies: 2.2,
+  democratize: 1.3,
+  demographic: 2.9,
+  demolishing: 2.3,
+  demolitions: 2.5,
+  demonstrate: 3.7,
+  demoralized: 2.2,
+  demoralizes: 1.8,
+  deniability: 2.8,
+  denigrating: 1.8,
+  denigration: 1.3,
+  denominated: 1.6,
+  denominator: 2.7,
+  deodorizers: 1.6,
+  deodorizing: 1.3,
+  departments: 3.2,
+  deployments: 1.9,
+  deportation: 2.9,
+  depositions: 2.9,
+  depravities: 1.6,
+  deprecating: 1.3,
+  depreciated: 1.6,
+  depredation: 1.6,
+  depressants: 1.6,
+  depressions: 2.1,
+  depressives: 1.6,
+  deprivation: 2.9,
+  derangement: 2.1,
+  dereliction: 2.4,
+  derivatives: 1.8,
+  dermatology: 2.2,
+  descendants: 2.9,
+  description: 4.1,
+  descriptive: 2.6,
+  descriptors: 1.3,
+  desecrating: 2.4,
+  desecration: 2.7,
+  desegregate: 1.3,
+  desensitize: 1.9,
+  desiccation: 2,
+  designating: 1.3,
+  designation: 2.3,
+  desperadoes: 2.3,
+  desperately: 3.8,
+  desperation: 3.5,
+  despondency: 1.8,
+  destabilize: 2.2,
+  destination: 3.8,
+  destitution: 1.6,
+  destruction: 4.1,
+  destructive: 3.4,
+  detachments: 1.6,
+  deteriorate: 2.7,
+  determinate: 1.3,
+  determining: 3,
+  determinism: 1.3,
+  detonations: 2,
+  detrimental: 2.6,
+  devaluation: 1.6,
+  devastating: 3.4,
+  devastation: 3,
+  development: 4.1,
+  deviousness: 1.6,
+  diagnostics: 2.6,
+  dictatorial: 2.1,
+  differences: 3.8,
+  differently: 4,
+  diffraction: 1.8,
+  dignitaries: 2.7,
+  dilapidated: 2.2,
+  dilettantes: 1.9,
+  dimensional: 3,
+  diminishing: 2.7,
+  dipsomaniac: 1.9,
+  directional: 2.6,
+  directorate: 2.4,
+  directorial: 2.1,
+  directories: 2.2,
+  disaffected: 2.1,
+  disagreeing: 2.4,
+  disappeared: 4.5,
+  disappoints: 2.5,
+  disapproval: 2.8,
+  disapproved: 2.1,
+  disapproves: 2.4,
+  disarmament: 2.5,
+  disarranged: 1.8,
+  disassemble: 2.3,
+  discernible: 2.2,
+  discernment: 1.6,
+  discharging: 2.7,
+  disciplined: 3.2,
+  disciplines: 1.9,
+  disclaimers: 1.8,
+  disclosures: 1.8,
+  discomfited: 1.6,
+  discomforts: 1.8,
+  disconcerts: 1.3,
+  disconnects: 2.1,
+  discontents: 1.3,
+  discontinue: 2.8,
+  discotheque: 2.3,
+  discounting: 2.1,
+  discouraged: 3.2,
+  discourages: 2.2,
+  discourtesy: 2.1,
+  discoverers: 1.6,
+  discoveries: 3,
+  discovering: 3.3,
+  discredited: 2.6,
+  discrepancy: 2.9,
+  discussions: 3.2,
+  disembarked: 1.8,
+  disembodied: 2.6,
+  disengaging: 2.1,
+  disentangle: 1.8,
+  disfiguring: 2.2,
+  disgraceful: 3.3,
+  disgruntled: 3,
+  disgustedly: 1.3,
+  disheartens: 1.3,
+  dishonestly: 1.3,
+  dishonoring: 1.9,
+  dishwashers: 2.2,
+  disillusion: 2.4,
+  disinclined: 1.8,
+  disinfected: 2.1,
+  disinterest: 2.1,
+  disinterred: 1.3,
+  dislocation: 2.5,
+  dismantling: 2.6,
+  dismembered: 2.8,
+  dismounting: 1.6,
+  disobedient: 2.3,
+  disorganize: 1.6,
+  disoriented: 3.1,
+  disparaging: 2.5,
+  disparities: 1.8,
+  dispatchers: 2,
+  dispatching: 2.5,
+  dispensable: 2.2,
+  displeasing: 2.1,
+  displeasure: 2.8,
+  disposables: 1.3,
+  disposition: 3.3,
+  disquieting: 2.1,
+  disregarded: 2.4,
+  disrespects: 2.3,
+  disruptions: 2.2,
+  dissections: 1.8,
+  dissembling: 2,
+  disseminate: 1.9,
+  dissimulate: 1.3,
+  dissipating: 1.8,
+  dissipation: 2.4,
+  dissociated: 1.3,
+  dissolutely: 1.3,
+  dissolution: 2,
+  distasteful: 3.1,
+  distinction: 3.5,
+  distinctive: 3.2,
+  distinguish: 3.3,
+  distortions: 2.8,
+  distracting: 3.4,
+  distraction: 3.6,
+  distressing: 2.9,
+  distributed: 3.1,
+  distributes: 2.2,
+  distributor: 3.2,
+  distrustful: 2,
+  disturbance: 3.6,
+  divergences: 1.8,
+  diversified: 1.8,
+  diversifies: 1.3,
+  diversities: 1.6,
+  doctrinaire: 1.3,
+  documentary: 3.8,
+  documenting: 2.7,
+  dogcatchers: 1.3,
+  domesticate: 1.8,
+  domesticity: 2.4,
+  domineering: 2.5,
+  dormitories: 2.3,
+  doubtlessly: 1.6,
+  downhearted: 2.5,
+  downloading: 3.1,
+  downplaying: 1.3,
+  downtrodden: 2.5,
+  dragonflies: 2.4,
+  dramatizing: 1.3,
+  drastically: 2.5,
+  dreadnought: 1.8,
+  dressmakers: 1.8,
+  dressmaking: 1.9,
+  drunkenness: 2.8,
+  dumbfounded: 2.1,
+  dumbwaiters: 1.3,
+  duplicating: 2.2,
+  duplication: 2.1,
+  dysfunction: 3.1,
+  earnestness: 1.8,
+  earthquakes: 3.1,
+  easternmost: 1.3,
+  economizing: 1.6,
+  edification: 2.5,
+  editorially: 1.6,
+  educational: 3.5,
+  effectively: 3.4,
+  effectuated: 1.6,
+  effervesces: 1.3,
+  efficacious: 2.3,
+  efficiently: 2.8,
+  egalitarian: 1.9,
+  egotistical: 2.8,
+  egregiously: 2,
+  eigenvalues: 1.3,
+  ejaculating: 1.3,
+  ejaculation: 2.8,
+  elaborately: 1.9,
+  elaborating: 2.1,
+  elaboration: 1.9,
+  electrician: 3.2,
+  electricity: 4.1,
+  electrified: 2.8,
+  electrifies: 1.3,
+  electrocute: 2.8,
+  electrolyte: 2.3,
+  electronica: 1.6,
+  electronics: 3.4,
+  elephantine: 1.9,
+  eligibility: 2.4,
+  eliminating: 3,
+  elimination: 3.1,
+  elucidation: 1.6,
+  emancipated: 2.7,
+  emancipator: 1.6,
+  emasculated: 2.2,
+  emasculates: 1.3,
+  embankments: 1.3,
+  embarkation: 2.3,
+  embarrassed: 4.3,
+  embarrasses: 2.6,
+  embellished: 2.3,
+  embroidered: 2.7,
+  emergencies: 3.3,
+  emotionally: 3.8,
+  empathizing: 1.6,
+  emphasizing: 1.9,
+  empirically: 2.2,
+  emplacement: 1.3,
+  employments: 1.3,
+  empowerment: 2,
+  encapsulate: 1.8,
+  enchantment: 2.8,
+  enchantress: 2.8,
+  encompassed: 2.1,
+  encompasses: 2.1,
+  encountered: 3.5,
+  encouraging: 3.5,
+  encroaching: 2.5,
+  encumbrance: 1.3,
+  endangering: 3.1,
+  endeavoring: 2,
+  endlessness: 1.3,
+  endorsement: 3.1,
+  enforceable: 2.1,
+  enforcement: 3.8,
+  engagements: 3,
+  engendering: 1.8,
+  engineering: 3.8,
+  enhancement: 2.7,
+  enlargement: 2.6,
+  enlightened: 3.2,
+  enlistments: 1.6,
+  ennoblement: 1.3,
+  enslavement: 2.2,
+  enterprises: 3.3,
+  entertained: 3.4,
+  entertainer: 3.2,
+  enthralling: 2.1,
+  enthusiasms: 2.2,
+  enthusiasts: 2.5,
+  enticements: 1.3,
+  entitlement: 2.4,
+  enumeration: 1.3,
+  enunciating: 1.8,
+  enunciation: 2,
+  environment: 4.1,
+  envisioning: 1.9,
+  equidistant: 2.1,
+  equilateral: 1.6,
+  equilibrium: 3,
+  equivalents: 1.6,
+  eradicating: 2.2,
+  eradication: 2.5,
+  erratically: 2.4,
+  erroneously: 2.4,
+  erythrocyte: 1.3,
+  escalations: 1.3,
+  espadrilles: 1.3,
+  essentially: 3.5,
+  established: 3.9,
+  establishes: 2.3,
+  estimations: 1.6,
+  euphemistic: 1.3,
+  evacuations: 1.9,
+  evaluations: 2.8,
+  evangelical: 2.3,
+  evangelists: 1.8,
+  evaporating: 2.5,
+  evaporation: 1.6,
+  evasiveness: 1.8,
+  eventuality: 2.2,
+  everlasting: 3.4,
+  eviscerated: 2.5,
+  eviscerates: 1.6,
+  exacerbated: 2.2,
+  exacerbates: 1.6,
+  exaggerated: 3.1,
+  exaggerates: 2.4,
+  examination: 3.7,
+  exasperated: 2.2,
+  excavations: 2,
+  exceedingly: 3,
+  excellently: 2.3,
+  exceptional: 3.5,
+  excessively: 2.7,
+  excitements: 1.6,
+  exclamation: 2.7,
+  exclamatory: 1.3,
+  exclusively: 3.3,
+  exclusivity: 2.3,
+  excoriation: 1.3,
+  executioner: 3.1,
+  exemplified: 2.2,
+  exemplifies: 2.4,
+  exhalations: 1.3,
+  exhibitions: 2.1,
+  exhilarated: 2.7,
+  exhortation: 1.6,
+  exhumations: 1.3,
+  existential: 2.9,
+  exonerating: 2.2,
+  exoneration: 2,
+  expatriates: 1.9,
+  expectantly: 1.6,
+  expectation: 3.1,
+  expectorant: 1.9,
+  expediently: 1.8,
+  expeditions: 2.8,
+  expeditious: 2.1,
+  expendables: 1.6,
+  expenditure: 2.4,
+  expensively: 2,
+  experienced: 4,
+  experiences: 3.8,
+  experiments: 3.8,
+  explanation: 4.3,
+  explanatory: 1.6,
+  explicating: 2,
+  explication: 1.8,
+  exploration: 3.3,
+  exploratory: 2.7,
+  explosively: 1.3,
+  exponential: 2.3,
+  exportation: 1.3,
+  expositions: 1.3,
+  expressible: 1.3,
+  expressions: 3,
+  expressways: 1.6,
+  exquisitely: 2.4,
+  extensively: 2.8,
+  extenuating: 2.8,
+  exterminate: 3,
+  extractions: 2.2,
+  extraditing: 1.8,
+  extradition: 3.1,
+  extrapolate: 2.5,
+  extravagant: 3.2,
+  extremities: 2.8,
+  extricating: 1.6,
+  extrication: 2,
+  extroverted: 1.8,
+  exuberantly: 1.3,
+  fabricating: 2.4,
+  fabrication: 2.9,
+  facetiously: 1.3,
+  facilitated: 2.5,
+  facilitates: 1.3,
+  fairgrounds: 2.4,
+  fallibility: 1.6,
+  familiarity: 2.8,
+  familiarize: 2.6,
+  fanatically: 2.1,
+  fantasizing: 2.9,
+  fascinating: 4.2,
+  fascination: 3.2,
+  fashionable: 3.3,
+  fashionably: 2.6,
+  faultlessly: 1.3,
+  fearfulness: 1.6,
+  feasibility: 2,
+  featureless: 1.6,
+  federations: 1.6,
+  fellowships: 2.2,
+  ferociously: 2.1,
+  fertilizers: 2.3,
+  fertilizing: 2,
+  festivities: 3.1,
+  fetishistic: 1.8,
+  figureheads: 1.6,
+  financially: 3.4,
+  fingerboard: 1.9,
+  fingernails: 3.6,
+  fingerprint: 3.5,
+  firebombing: 1.6,
+  firecracker: 3,
+  firefighter: 3,
+  fireproofed: 1.3,
+  fishtailing: 1.8,
+  flamboyance: 1.3,
+  flashlights: 3,
+  flexibility: 3,
+  flimflammed: 1.6,
+  flirtations: 2.2,
+  flirtatious: 2.4,
+  floodlights: 2.1,
+  floorboards: 3,
+  floundering: 2.5,
+  flourishing: 2.5,
+  fluctuating: 2.5,
+  fluctuation: 2.5,
+  fluorescent: 2.8,
+  fluoridated: 1.3,
+  fluoroscope: 2.4,
+  foolishness: 3.3,
+  footballers: 2.1,
+  footlockers: 1.8,
+  forbearance: 2.5,
+  forecasters: 1.6,
+  forecasting: 2.2,
+  forecastles: 1.3,
+  foreclosing: 2.1,
+  foreclosure: 2.7,
+  forefathers: 2.9,
+  forefingers: 1.6,
+  foreseeable: 2.6,
+  forestalled: 1.6,
+  forestation: 1.3,
+  foretelling: 1.8,
+  forethought: 2.2,
+  forevermore: 2.7,
+  forewarning: 1.3,
+  forgettable: 2.5,
+  forgiveness: 3.9,
+  formalities: 3,
+  formalizing: 1.3,
+  formulating: 2.1,
+  formulation: 2.4,
+  fornicating: 2.6,
+  fornication: 2.9,
+  forthcoming: 3.1,
+  fortnightly: 1.6,
+  fortunately: 3.9,
+  foundations: 3.1,
+  fragmentary: 1.6,
+  fragmenting: 1.6,
+  franchising: 2.3,
+  frankfurter: 2.3,
+  frantically: 2.7,
+  fraternally: 1.3,
+  fraternizes: 1.3,
+  freebooters: 1.6,
+  freeholders: 1.6,
+  freelancers: 2.2,
+  freelancing: 2.1,
+  freeloaders: 2.7,
+  freeloading: 2.5,
+  freethinker: 1.3,
+  frequencies: 3.3,
+  frequenting: 2.1,
+  fretfulness: 1.3,
+  friendliest: 2.6,
+  friendships: 3.1,
+  frightening: 3.8,
+  frightfully: 3,
+  frivolities: 1.8,
+  frivolously: 1.8,
+  frostbitten: 2.1,
+  fruitlessly: 1.3,
+  frustrating: 3.4,
+  frustration: 3.5,
+  fulfillment: 3,
+  fulminating: 1.3,
+  functionary: 1.6,
+  functioning: 3.4,
+  fundamental: 3.5,
+  furnishings: 2.7,
+  furtherance: 1.6,
+  furthermore: 3.5,
+  furthermost: 1.6,
+  gallbladder: 2.9,
+  gallivanted: 1.3,
+  galvanizing: 2,
+  gastronomic: 1.3,
+  gatecrasher: 1.6,
+  genealogies: 1.3,
+  genealogist: 1.9,
+  generalized: 1.9,
+  generations: 3.8,
+  generically: 1.6,
+  genetically: 3.3,
+  geneticists: 2,
+  gentlemanly: 2.6,
+  gentlewoman: 2.2,
+  gentlewomen: 1.8,
+  genuflected: 1.3,
+  geographers: 1.6,
+  geographies: 1.6,
+  geometrical: 2.1,
+  geophysical: 1.8,
+  geopolitics: 1.9,
+  germinating: 1.6,
+  germination: 1.3,
+  gerontology: 2.1,
+  gesticulate: 2.1,
+  ghostwriter: 1.8,
+  gingerbread: 2.8,
+  gingersnaps: 1.3,
+  girlfriends: 3.9,
+  glamorizing: 1.8,
+  goalkeepers: 1.3,
+  godchildren: 1.3,
+  goddaughter: 2.5,
+  godforsaken: 3.2,
+  goldfinches: 1.3,
+  governesses: 1.9,
+  governments: 3.5,
+  graduations: 2.1,
+  grammatical: 2.1,
+  grandfather: 4.4,
+  grandmother: 4.4,
+  grandparent: 2.4,
+  grandstands: 1.8,
+  granulating: 1.3,
+  grapefruits: 2.1,
+  graphically: 2.1,
+  grasshopper: 3,
+  gravestones: 1.9,
+  gravitation: 1.3,
+  greasepaint: 2.1,
+  greengrocer: 2.2,
+  greenhouses: 1.9,
+  grindstones: 1.3,
+  grotesquely: 2.4,
+  groundswell: 1.9,
+  guardhouses: 1.6,
+  guesstimate: 1.9,
+  guillotined: 2,
+  guillotines: 1.3,
+  gullibility: 1.9,
+  gunslingers: 2,
+  guttersnipe: 2.1,
+  haberdasher: 2.2,
+  hairbrushes: 2.1,
+  hairdresser: 3.4,
+  hairstylist: 2.1,
+  hallelujahs: 2,
+  hallucinate: 2.5,
+  hammerheads: 1.9,
+  handcrafted: 2.3,
+  handcuffing: 2,
+  handicapped: 3.4,
+  handicapper: 2.2,
+  handicrafts: 2.1,
+  handmaidens: 2,
+  handpicking: 1.6,
+  handshaking: 1.9,
+  handsprings: 1.8,
+  handwriting: 3.8,
+  handwritten: 2.5,
+  haphazardly: 1.3,
+  hardhearted: 1.8,
+  harebrained: 2.7,
+  harmonizing: 2,
+  harpsichord: 2.3,
+  hatefulness: 1.3,
+  headdresses: 1.6,
+  headhunters: 2.5,
+  headquarter: 2.7,
+  headwaiters: 1.8,
+  heartbreaks: 1.6,
+  heartbroken: 3.3,
+  heartlessly: 1.9,
+  heartthrobs: 1.3,
+  heavyweight: 3.5,
+  heightening: 1.6,
+  heinousness: 1.3,
+  helicopters: 3.5,
+  hemispheres: 2.3,
+  hemorrhaged: 1.8,
+  hemorrhages: 2.2,
+  hemorrhoids: 3,
+  herbivorous: 1.3,
+  herringbone: 1.9,
+  hesitations: 1.9,
+  hibernating: 2.7,
+  hibernation: 2.8,
+  hideousness: 1.9,
+  hierarchies: 1.6,
+  highfalutin: 2.4,
+  highlighted: 2.7,
+  highlighter: 2.1,
+  hightailing: 2.1,
+  hilariously: 1.8,
+  hillbillies: 2.7,
+  hinterlands: 1.6,
+  histrionics: 1.8,
+  hitchhikers: 2.7,
+  hitchhiking: 3.1,
+  holographic: 3,
+  homeopathic: 2.3,
+  homesteaded: 1.3,
+  homesteader: 1.8,
+  homestretch: 2.1,
+  homogeneous: 1.8,
+  homogenized: 1.8,
+  homogenizes: 1.3,
+  homosexuals: 3.2,
+  honeycombed: 2,
+  honeymooned: 2,
+  honeysuckle: 2.2,
+  hopefulness: 2.2,
+  horseradish: 2.7,
+  hospitality: 3.7,
+  hospitalize: 1.6,
+  hostilities: 2.7,
+  housebroken: 2.8,
+  householder: 2.3,
+  housekeeper: 3.8,
+  housemother: 2,
+  houseplants: 1.9,
+  huckleberry: 2.9,
+  humidifiers: 1.6,
+  humidifying: 1.3,
+  humiliating: 3.8,
+  humiliation: 3.7,
+  hummingbird: 2.8,
+  hunchbacked: 2.1,
+  hundredfold: 2,
+  hydrocarbon: 2.1,
+  hydrophobia: 1.9,
+  hydroponics: 2.6,
+  hyperactive: 2.6,
+  hyphenation: 1.3,
+  hypnotizing: 2.4,
+  hypocrisies: 1.9,
+  hypodermics: 2,
+  hypothermia: 2.9,
+  hypothesize: 1.9,
+  icebreakers: 1.3,
+  iconoclasts: 1.3,
+  identically: 1.6,
+  identifiers: 1.9,
+  identifying: 3.3,
+  ideological: 2.1,
+  idiotically: 1.8,
+  ignominious: 2.1,
+  ignoramuses: 1.3,
+  illicitness: 1.3,
+  illiterates: 1.9,
+  illuminated: 2.5,
+  illuminates: 2.1,
+  illustrated: 2.8,
+  illustrates: 2.5,
+  illustrator: 2.4,
+  illustrious: 3.1,
+  imagination: 4.2,
+  imaginative: 3.1,
+  immediately: 4.7,
+  immigration: 3.4,
+  immobilized: 2.4,
+  immobilizes: 1.3,
+  immortality: 3.3,
+  immortalize: 2.2,
+  impartially: 1.8,
+  impassioned: 2.6,
+  impatiently: 2.4,
+  impeachment: 2.8,
+  impecunious: 1.8,
+  impediments: 2,
+  imperatives: 1.6,
+  imperfectly: 1.3,
+  imperialism: 2.3,
+  imperialist: 2.7,
+  impermeable: 2,
+  impersonate: 2.8,
+  impertinent: 3,
+  impetuosity: 1.6,
+  impetuously: 1.3,
+  implausible: 1.9,
+  implemented: 2.4,
+  implementer: 1.3,
+  implicating: 2.7,
+  implication: 3,
+  importantly: 3.7,
+  importation: 1.9,
+  importunate: 1.6,
+  impractical: 2.9,
+  imprecision: 1.6,
+  impregnable: 2.8,
+  impregnated: 2.8,
+  impressions: 3.5,
+  imprisoning: 2.2,
+  impropriety: 2.7,
+  improvement: 3.6,
+  improvident: 1.3,
+  improvising: 2.8,
+  impulsively: 2.3,
+  imputations: 1.9,
+  inabilities: 1.6,
+  inadvertent: 2.3,
+  inadvisable: 1.9,
+  inalienable: 2.6,
+  inattention: 1.8,
+  inattentive: 1.9,
+  inaugurated: 2.1,
+  inaugurates: 1.3,
+  incantation: 2.7,
+  incarcerate: 2.3,
+  incarnation: 2.5,
+  incessantly: 2.6,
+  incidentals: 2.4,
+  incinerated: 2.8,
+  incinerates: 1.3,
+  incinerator: 2.9,
+  inclination: 2.9,
+  incompetent: 3.6,
+  incongruity: 1.3,
+  incongruous: 2.1,
+  incontinent: 2.5,
+  incorporate: 2.9,
+  incorporeal: 1.3,
+  incorrectly: 2.5,
+  incredulity: 1.6,
+  incredulous: 2.2,
+  incremental: 1.8,
+  incriminate: 2.9,
+  inculcating: 1.6,
+  inculcation: 1.3,
+  indecencies: 1.3,
+  indefinable: 2,
+  indemnified: 1.6,
+  indentation: 2.2,
+  independent: 4,
+  indications: 3,
+  indictments: 2.6,
+  indifferent: 3.1,
+  indigestion: 3.3,
+  indignantly: 1.6,
+  indignation: 2.7,
+  indignities: 2.4,
+  indirection: 1.3,
+  individuals: 3.6,
+  indivisible: 2.6,
+  indomitable: 2.3,
+  indubitable: 1.3,
+  indubitably: 2.4,
+  inducements: 2.1,
+  indulgences: 2,
+  industrious: 2.5,
+  inebriating: 1.3,
+  inebriation: 2.2,
+  ineffective: 2.8,
+  ineffectual: 2.7,
+  inefficient: 2.6,
+  ineluctable: 1.6,
+  inequitable: 1.3,
+  inescapable: 2.4,
+  inessential: 1.3,
+  inestimable: 2.1,
+  inexcusable: 2.9,
+  inexcusably: 1.3,
+  inexpensive: 2.9,
+  infanticide: 1.8,
+  infantryman: 2,
+  infantrymen: 1.8,
+  infatuation: 2.9,
+  inferiority: 2.9,
+  infertility: 2.6,
+  infestation: 2.8,
+  infiltrated: 3.1,
+  infiltrates: 2.2,
+  infiltrator: 1.3,
+  infinitives: 1.6,
+  infirmities: 1.3,
+  inflammable: 2.4,
+  inflatables: 1.3,
+  inflections: 2,
+  influencing: 2.8,
+  influential: 3.2,
+  infomercial: 2.8,
+  informality: 2.1,
+  information: 5,
+  informative: 2.8,
+  infractions: 2.5,
+  infuriating: 2.7,
+  ingenuously: 1.3,
+  ingratitude: 2.4,
+  ingredients: 3.3,
+  inhabitable: 1.3,
+  inhabitants: 3.1,
+  inhalations: 1.3,
+  inheritance: 3.5,
+  inhibitions: 2.9,
+  initialized: 1.6,
+  initiations: 1.3,
+  initiatives: 2.1,
+  injudicious: 1.3,
+  injunctions: 1.3,
+  innovations: 2.5,
+  innumerable: 2.3,
+  inoculating: 1.9,
+  inoculation: 2.5,
+  inoffensive: 2.4,
+  inoperative: 2.5,
+  inopportune: 2.4,
+  inquisition: 2.6,
+  inquisitive: 3,
+  inscription: 3.2,
+  inscrutable: 2.7,
+  insecticide: 2.7,
+  insectivore: 1.6,
+  inseminated: 2.2,
+  insensitive: 3.6,
+  inseparable: 3,
+  insidiously: 1.6,
+  insincerity: 1.6,
+  insinuating: 3,
+  insinuation: 2.5,
+  insistently: 1.8,
+  insouciance: 1.3,
+  inspections: 2.7,
+  inspiration: 3.9,
+  instability: 3,
+  installment: 2.7,
+  instigating: 1.9,
+  instigation: 2,
+  instigators: 1.8,
+  instinctive: 2.6,
+  instituting: 2.2,
+  institution: 3.9,
+  instructing: 2.5,
+  instruction: 3.3,
+  instructive: 2.6,
+  instructors: 2.9,
+  instruments: 3.7,
+  insuperable: 1.9,
+  intangibles: 1.8,
+  integrating: 1.9,
+  integration: 2.8,
+  intelligent: 4.1,
+  intemperate: 2,
+  intensified: 2.4,
+  intensifier: 1.8,
+  intensifies: 2.4,
+  intensively: 1.8,
+  intentional: 3.2,
+  interacting: 2.6,
+  interaction: 3.1,
+  interactive: 2.7,
+  interceding: 1.3,
+  intercepted: 3.5,
+  interceptor: 2.4,
+  interchange: 2.5,
+  intercourse: 3.6,
+  interesting: 4.9,
+  interfacing: 1.6,
+  interfering: 3.5,
+  interlinked: 1.6,
+  interlocked: 2.1,
+  intermingle: 2,
+  internalize: 1.9,
+  internecine: 1.6,
+  internships: 2.3,
+  interoffice: 2.7,
+  interpreted: 3,
+  interpreter: 3.3,
+  interracial: 2.4,
+  interrogate: 3.3,
+  interrupted: 3.7,
+  intersected: 1.6,
+  intersperse: 1.3,
+  interstates: 1.3,
+  intertwined: 2.6,
+  intervening: 2.5,
+  interviewed: 3.6,
+  interviewee: 1.9,
+  interviewer: 2.6,
+  intimations: 1.3,
+  intimidated: 3.4,
+  intimidates: 2.1,
+  intolerable: 3.1,
+  intolerably: 1.6,
+  intolerance: 2.8,
+  intonations: 1.3,
+  intoxicants: 1.3,
+  intoxicated: 3,
+  intoxicates: 1.8,
+  intractable: 2.1,
+  intravenous: 2.8,
+  intricacies: 2.5,
+  intricately: 1.3,
+  introducing: 3.6,
+  introverted: 2.2,
+  intuitively: 2,
+  invalidated: 2.2,
+  invalidates: 1.3,
+  inventoried: 2.2,
+  inventories: 2.2,
+  investigate: 4,
+  investiture: 1.6,
+  investments: 3.4,
+  invigorated: 2.1,
+  invitations: 3.5,
+  invocations: 1.3,
+  involuntary: 3,
+  involvement: 3.7,
+  irradiating: 1.6,
+  irradiation: 1.3,
+  irrefutable: 2.4,
+  irrelevancy: 1.8,
+  irreligious: 1.6,
+  irreparable: 2.8,
+  irreparably: 2.1,
+  irreverence: 2.2,
+  irrevocable: 2.6,
+  irrevocably: 2.5,
+  irritations: 2.1,
+  itineraries: 2.2,
+  jackhammers: 1.8,
+  jackrabbits: 2.3,
+  jawbreakers: 1.6,
+  jeopardized: 2.6,
+  jeopardizes: 2.3,
+  journalists: 3.3,
+  judiciously: 2,
+  juggernauts: 1.3,
+  justifiable: 2.7,
+  justifiably: 2.2,
+  juxtaposing: 1.8,
+  kidnappings: 2.9,
+  kindhearted: 2.2,
+  kitchenette: 2.5,
+  kitchenware: 1.6,
+  kleptomania: 1.9,
+  knickknacks: 2.6,
+  knighthoods: 1.3,
+  knucklehead: 3,
+  laboriously: 1.3,
+  lacerations: 3.2,
+  ladyfingers: 1.9,
+  lamentation: 1.8,
+  landlubbers: 1.9,
+  landscapers: 2.1,
+  landscaping: 3.1,
+  languishing: 2.2,
+  lawbreakers: 2.1,
+  lawlessness: 2.7,
+  leapfrogged: 1.3,
+  leaseholder: 1.8,
+  leatherneck: 1.6,
+  legerdemain: 1.8,
+  legionnaire: 1.9,
+  legislating: 1.8,
+  legislation: 3,
+  legislative: 2.4,
+  legislators: 2.4,
+  legislature: 2.9,
+  legitimates: 1.3,
+  legitimized: 1.8,
+  legitimizes: 1.8,
+  lengthening: 1.6,
+  leprechauns: 2.9,
+  letterheads: 1.3,
+  levelheaded: 2.1,
+  liabilities: 2.5,
+  libertarian: 1.9,
+  lieutenancy: 1.3,
+  lieutenants: 3,
+  lightheaded: 2.7,
+  lighthouses: 2.4,
+  lightweight: 3.1,
+  limitations: 3.3,
+  linebackers: 2.4,
+  lingeringly: 1.6,
+  linguistics: 2.7,
+  lionhearted: 1.9,
+  liposuction: 2.9,
+  liquidating: 2.1,
+  liquidation: 2.1,
+  liquidators: 1.3,
+  lithographs: 2.1,
+  lithography: 1.9,
+  lithosphere: 1.6,
+  livelihoods: 1.9,
+  locomotives: 2,
+  logarithmic: 1.6,
+  loudmouthed: 2.3,
+  loudspeaker: 3,
+  lubricating: 1.9,
+  lubrication: 2.4,
+  ludicrously: 1.9,
+  lumberjacks: 2.4,
+  luminescent: 1.8,
+  luxuriantly: 1.3,
+  luxuriating: 1.6,
+  luxuriously: 1.6,
+  machination: 1.6,
+  macrobiotic: 1.9,
+  macroscopic: 2.3,
+  magistrates: 2,
+  magnanimity: 1.6,
+  magnanimous: 2.4,
+  magnificent: 4.1,
+  maidservant: 2.1,
+  maintaining: 3.3,
+  maintenance: 3.8,
+  maladjusted: 2.3,
+  malcontents: 2.3,
+  malediction: 1.3,
+  malefactors: 1.3,
+  malevolence: 2.1,
+  malfeasance: 2.5,
+  malfunction: 3.5,
+  maliciously: 2.4,
+  malignantly: 1.6,
+  malingerers: 1.8,
+  malingering: 2.2,
+  malpractice: 3.2,
+  maneuvering: 3,
+  manhandling: 2.2,
+  manicurists: 1.6,
+  manifesting: 2.5,
+  manipulated: 3.3,
+  manipulates: 2.2,
+  manipulator: 2.3,
+  mantelpiece: 2.5,
+  manufacture: 3.4,
+  manuscripts: 2.7,
+  marathoners: 1.3,
+  marchioness: 1.6,
+  marionettes: 2.2,
+  marketplace: 3.2,
+  marshmallow: 3.2,
+  marvelously: 2.3,
+  masculinity: 2.7,
+  masochistic: 2.4,
+  masquerader: 1.3,
+  masquerades: 1.8,
+  masterfully: 1.9,
+  masterminds: 2.3,
+  masterpiece: 3.5,
+  masterworks: 1.6,
+  masturbated: 2.5,
+  masturbates: 2.2,
+  matchmaking: 2.5,
+  materialism: 2.6,
+  materialist: 1.6,
+  materialize: 2.7,
+  mathematics: 3.5,
+  matriarchal: 1.3,
+  matriculate: 1.8,
+  matrimonial: 2.5,
+  meaningless: 3.7,
+  measurement: 2.7,
+  mechanistic: 1.8,
+  medications: 3.2,
+  meditations: 2.1,
+  megalomania: 2,
+  megalopolis: 1.3,
+  melancholia: 2.1,
+  melancholic: 2,
+  mellifluous: 1.9,
+  melodically: 1.6,
+  memberships: 1.9,
+  memorabilia: 2.7,
+  memorandums: 1.3,
+  memorialize: 2.1,
+  menstruated: 1.3,
+  mentalities: 1.3,
+  mentholated: 2.1,
+  mercenaries: 3.1,
+  merchandise: 3.7,
+  merchantman: 1.6,
+  merchantmen: 1.6,
+  mercilessly: 2.5,
+  meritocracy: 1.3,
+  meritorious: 2.4,
+  merrymakers: 1.8,
+  merrymaking: 1.3,
+  mesmerizing: 2.1,
+  metabolisms: 1.9,
+  metabolized: 1.6,
+  metabolizes: 1.3,
+  metacarpals: 1.9,
+  metamorphic: 1.8,
+  metaphysics: 2.3,
+  metastasize: 1.6,
+  metatarsals: 1.3,
+  meteorology: 2.1,
+  methodology: 2.8,
+  microphones: 3,
+  microscopes: 1.8,
+  microscopic: 3.1,
+  microsecond: 2,
+  militarists: 1.3,
+  militarized: 1.3,
+  millenniums: 2.2,
+  milliliters: 2,
+  millimeters: 2.7,
+  millionaire: 3.8,
+  millisecond: 2.4,
+  milquetoast: 2,
+  minesweeper: 2.1,
+  miniaturize: 2,
+  ministerial: 2,
+  ministering: 1.8,
+  misanthrope: 2,
+  misanthropy: 1.3,
+  misbegotten: 2,
+  misbehaving: 2.5,
+  misbehavior: 2,
+  miscarriage: 3.1,
+  miscarrying: 1.3,
+  mischievous: 2.6,
+  misconstrue: 2,
+  misdemeanor: 3.2,
+  misdiagnose: 1.8,
+  misdirected: 2.4,
+  miserliness: 1.6,
+  misfeasance: 1.3,
+  misfortunes: 2.5,
+  mishandling: 1.3,
+  misidentify: 1.3,
+  misinformed: 2.8,
+  misjudgment: 1.3,
+  mismanaging: 1.3,
+  misogynists: 1.3,
+  mistreating: 2.5,
+  mistrustful: 1.8,
+  mistrusting: 1.3,
+  mockingbird: 3.1,
+  modernistic: 1.6,
+  modulations: 1.3,
+  moisturized: 1.3,
+  moisturizer: 2.7,
+  molestation: 2.5,
+  momentarily: 3.2,
+  monarchical: 1.6,
+  monarchists: 1.3,
+  monasteries: 2.4,
+  monasticism: 1.3,
+  moneymakers: 1.9,
+  moneymaking: 1.9,
+  monkeyshine: 1.6,
+  monogrammed: 2.8,
+  monopolized: 1.8,
+  monopolizes: 1.8,
+  monstrosity: 2.9,
+  monstrously: 2,
+  moonlighted: 2,
+  moonlighter: 1.8,
+  mothballing: 1.3,
+  motherboard: 2.2,
+  motivations: 2.6,
+  motorcycles: 3.1,
+  mountaineer: 3.1,
+  mountainous: 2.2,
+  mountaintop: 2.7,
+  mudslingers: 1.3,
+  mudslinging: 1.3,
+  multiplexed: 1.3,
+  multiplexes: 1.6,
+  multiplying: 2.8,
+  munificence: 1.3,
+  murderesses: 1.3,
+  murderously: 1.6,
+  muscularity: 1.3,
+  musculature: 2.5,
+  mushrooming: 1.6,
+  mutilations: 2.4,
+  mythologies: 2.1,
+  nanoseconds: 2,
+  narcissists: 2.3,
+  nasturtiums: 1.8,
+  nationalism: 2.4,
+  nationalist: 2.4,
+  nationality: 2.9,
+  naturalists: 1.8,
+  naturalized: 2.2,
+  naughtiness: 1.6,
+  nearsighted: 2.7,
+  necessaries: 1.6,
+  necessarily: 4.1,
+  necessitate: 1.6,
+  necessities: 2.8,
+  neckerchief: 1.6,
+  necromancer: 2.6,
+  necrophilia: 2.5,
+  needlepoint: 2.7,
+  negligently: 1.3,
+  negotiating: 3.5,
+  negotiation: 3.4,
+  negotiators: 2.6,
+  neighboring: 2.9,
+  nervousness: 2.8,
+  neurologist: 3,
+  neutralized: 2.9,
+  neutralizer: 1.6,
+  neutralizes: 2.2,
+  newscasters: 1.8,
+  newsletters: 2,
+  nickelodeon: 2.3,
+  nightingale: 3.5,
+  nightmarish: 2.3,
+  nightshirts: 1.3,
+  nightsticks: 2,
+  nincompoops: 2.3,
+  nineteenths: 1.3,
+  noiselessly: 1.6,
+  noisemakers: 1.8,
+  nominations: 2.9,
+  nonbeliever: 1.9,
+  nonchalance: 1.8,
+  nondescript: 2.3,
+  nonentities: 1.6,
+  nonetheless: 3.4,
+  nonexistent: 2.9,
+  nonpartisan: 1.3,
+  nonphysical: 2.1,
+  nonsensical: 2.4,
+  nonstandard: 1.3,
+  nonviolence: 2.1,
+  normalizing: 1.8,
+  northeaster: 1.3,
+  northerners: 2.2,
+  nothingness: 2.9,
+  notoriously: 2.8,
+  nourishment: 3.1,
+  numerically: 1.6,
+  numismatist: 1.3,
+  nutcrackers: 1.9,
+  nutritional: 2.6,
+  nymphomania: 2.3,
+  obfuscating: 1.3,
+  obfuscation: 1.3,
+  objectively: 3,
+  objectivity: 2.9,
+  obligations: 3.4,
+  obliterated: 2.8,
+  obliterates: 1.9,
+  obnoxiously: 1.6,
+  obscenities: 2.3,
+  observation: 3.9,
+  observatory: 3,
+  obsessively: 2.3,
+  obsolescent: 1.3,
+  obstructing: 3,
+  obstruction: 3.4,
+  obviousness: 1.3,
+  occidentals: 1.8,
+  occupations: 2.4,
+  occurrences: 2.4,
+  offensively: 1.6,
+  officialdom: 1.3,
+  officiating: 1.6,
+  officiously: 1.6,
+  omnipotence: 2.2,
+  omnipresent: 2.1,
+  omniscience: 1.9,
+  operational: 3.6,
+  opinionated: 2.7,
+  opportunism: 1.3,
+  opportunist: 2.5,
+  opportunity: 4.6,
+  optometrist: 2.4,
+  orchestrate: 2.4,
+  orderliness: 1.6,
+  organically: 2.2,
+  orientation: 3.4,
+  originality: 2.8,
+  originating: 2.4,
+  origination: 1.9,
+  ornithology: 1.9,
+  orthodontic: 1.8,
+  orthography: 1.3,
+  orthopedics: 1.8,
+  orthopedist: 2.4,
+  oscillating: 2.1,
+  oscillation: 2,
+  oscillators: 1.3,
+  ostracizing: 1.3,
+  outbuilding: 2.3,
+  outcropping: 1.3,
+  outdistance: 1.3,
+  outfielders: 1.6,
+  outmaneuver: 1.9,
+  outnumbered: 3.3,
+  outpatients: 1.6,
+  outpourings: 1.3,
+  outreaching: 1.3,
+  outsmarting: 2,
+  outsourcing: 2.2,
+  outstanding: 3.9,
+  outstripped: 1.3,
+  outweighing: 1.3,
+  overachieve: 1.6,
+  overanxious: 2.3,
+  overbearing: 3,
+  overbooking: 1.6,
+  overcharged: 2.4,
+  overcharges: 1.6,
+  overcooking: 1.6,
+  overcrowded: 2.7,
+  overdressed: 2.8,
+  overexposed: 2,
+  overflowing: 2.9,
+  overhanging: 1.9,
+  overhauling: 1.6,
+  overhearing: 2.9,
+  overheating: 2.6,
+  overindulge: 1.6,
+  overlapping: 3,
+  overloading: 2.5,
+  overlooking: 3.1,
+  overplaying: 1.8,
+  overpowered: 2.6,
+  overpricing: 1.3,
+  overproduce: 1.3,
+  overreached: 1.8,
+  overreacted: 3.2,
+  overrunning: 1.8,
+  overselling: 1.3,
+  overshadows: 1.8,
+  overstating: 2.4,
+  overstaying: 1.6,
+  overstepped: 2.4,
+  overstocked: 1.6,
+  overstuffed: 2.2,
+  overturning: 2.3,
+  overweening: 1.9,
+  overwhelmed: 3.6,
+  overworking: 2,
+  overwriting: 1.3,
+  overwritten: 2,
+  overwrought: 2.8,
+  overzealous: 2.8,
+  oxygenating: 1.9,
+  oxygenation: 2.1,
+  pacesetters: 1.3,
+  pacifically: 1.3,
+  painkillers: 3.2,
+  painstaking: 2.4,
+  palindromes: 1.3,
+  pallbearers: 2.5,
+  palpitating: 2.1,
+  palpitation: 2.1,
+  pandemonium: 2.8,
+  panhandlers: 2.2,
+  panhandling: 2.4,
+  pantheistic: 1.8,
+  paperhanger: 2.2,
+  paperweight: 2.6,
+  parachuting: 2.5,
+  parachutist: 2.2,
+  paradoxical: 2.1,
+  paragliding: 1.8,
+  parallelism: 1.3,
+  paramedical: 1.3,
+  paraphrased: 1.6,
+  paraplegics: 1.3,
+  parasailing: 2.1,
+  paratrooper: 2.5,
+  parentheses: 1.9,
+  parenthesis: 1.8,
+  parishioner: 2.2,
+  parliaments: 1.9,
+  participant: 2.8,
+  participate: 3.6,
+  participles: 1.6,
+  particulars: 3,
+  particulate: 2,
+  partitioned: 1.9,
+  partnership: 3.7,
+  passageways: 2.4,
+  passionless: 1.8,
+  pasteurized: 2,
+  pathologist: 2.9,
+  patriarchal: 2.4,
+  patronizing: 3,
+  pawnbrokers: 1.6,
+  peacemakers: 2.4,
+  peculiarity: 2,
+  pedestrians: 2.8,
+  penetrating: 3.1,
+  penetration: 3.1,
+  penetrative: 1.3,
+  penitential: 1.3,
+  pennyweight: 1.6,
+  pentathlons: 1.3,
+  penultimate: 2.3,
+  peppercorns: 1.8,
+  peppermints: 2.3,
+  perambulate: 1.8,
+  percentages: 2.6,
+  perceptible: 1.9,
+  perceptions: 2.7,
+  percolating: 2.3,
+  perennially: 1.3,
+  perfectible: 1.3,
+  perfections: 1.3,
+  perforating: 1.6,
+  perforation: 2.2,
+  performance: 4.3,
+  perfunctory: 2.2,
+  pericardium: 2.5,
+  periodicals: 2.4,
+  periodontal: 1.9,
+  peripatetic: 1.3,
+  peripherals: 2.1,
+  perishables: 2.2,
+  peritonitis: 2.5,
+  periwinkles: 1.3,
+  permanently: 3.7,
+  permissible: 2.7,
+  permutation: 1.8,
+  perpetrated: 2.8,
+  perpetrator: 3.2,
+  perpetually: 2.4,
+  perpetuated: 2,
+  perpetuates: 2.3,
+  perquisites: 1.3,
+  persecuting: 2.4,
+  persecution: 3.1,
+  persecutors: 1.6,
+  persevering: 2,
+  persistence: 2.9,
+  persnickety: 1.8,
+  personality: 4.2,
+  personalize: 2.5,
+  personified: 2.6,
+  personifies: 1.6,
+  perspective: 3.9,
+  perspicuous: 2,
+  persuasions: 2,
+  perversions: 2.6,
+  pessimistic: 2.8,
+  petitioners: 1.8,
+  petitioning: 2.4,
+  pharmacists: 2.3,
+  phenomenons: 1.3,
+  philanderer: 2.4,
+  philistines: 2.8,
+  philologist: 1.9,
+  philosopher: 3.5,
+  philosophic: 1.9,
+  photocopied: 2.1,
+  photocopier: 1.6,
+  photocopies: 2.2,
+  photographs: 4,
+  photography: 3.6,
+  phraseology: 1.8,
+  physiognomy: 1.3,
+  pickpockets: 2.3,
+  pictographs: 1.6,
+  pictorially: 1.6,
+  picturesque: 2.7,
+  pigeonholed: 1.9,
+  pigeonholes: 1.3,
+  piggybacked: 2,
+  pilgrimages: 1.9,
+  pillowcases: 2.4,
+  pincushions: 1.6,
+  pinfeathers: 1.6,
+  pinpointing: 1.9,
+  pirouetting: 1.3,
+  piscatorial: 1.8,
+  pitchblende: 2.1,
+  placeholder: 2,
+  plagiarized: 1.8,
+  plaintively: 1.3,
+  planetarium: 2.6,
+  plantations: 2.6,
+  playfulness: 2.1,
+  playgrounds: 2.6,
+  playwrights: 2.3,
+  pleasantest: 1.6,
+  pleasurable: 2.9,
+  plentifully: 1.3,
+  pluralistic: 1.3,
+  pocketbooks: 2.1,
+  pocketknife: 2.5,
+  poinsettias: 1.8,
+  pointillism: 2,
+  policewoman: 2.7,
+  policewomen: 1.3,
+  politically: 3.5,
+  politicians: 3.7,
+  politicized: 1.8,
+  politicizes: 1.8,
+  pollinating: 1.8,
+  pollination: 1.3,
+  poltergeist: 2.8,
+  polygamists: 1.3,
+  polygraphed: 1.3,
+  polymorphic: 1.8,
+  polystyrene: 1.3,
+  polytechnic: 2.2,
+  pomegranate: 2.4,
+  pontificate: 1.6,
+  popularized: 1.6,
+  populations: 2.6,
+  pornography: 3.4,
+  portability: 1.3,
+  porterhouse: 2.8,
+  portmanteau: 1.6,
+  portraitist: 1.3,
+  portraiture: 2,
+  positioning: 2.9,
+  possessions: 3.5,
+  possibility: 4.3,
+  postmasters: 1.3,
+  postmortems: 1.6,
+  postulating: 1.8,
+  potentially: 3.5,
+  powerhouses: 1.8,
+  practically: 4.4,
+  prearranged: 2.5,
+  precautions: 3.4,
+  precipitate: 2.1,
+  precipitous: 2.1,
+  predecessor: 3,
+  predestined: 2.4,
+  predicament: 3.3,
+  predication: 1.6,
+  predictable: 3.5,
+  predictably: 2.1,
+  predictions: 2.9,
+  predisposed: 2.4,
+  predisposes: 1.6,
+  predominant: 2.1,
+  predominate: 1.8,
+  preeminence: 1.8,
+  preexisting: 2.2,
+  preferences: 2.6,
+  pregnancies: 2.8,
+  prehistoric: 3.2,
+  prejudicial: 2.7,
+  preliminary: 3.7,
+  prematurely: 2.9,
+  premeditate: 1.3,
+  premonition: 3.6,
+  premonitory: 1.3,
+  preoccupied: 3.3,
+  preoccupies: 1.3,
+  preordained: 2.4,
+  prepackaged: 1.8,
+  preparation: 3.6,
+  preparatory: 2.5,
+  preposition: 2.5,
+  prerecorded: 2.4,
+  prerogative: 3.1,
+  preschooler: 1.6,
+  prescribing: 2.7,
+  presentable: 3,
+  pressurized: 2.7,
+  pressurizes: 1.3,
+  prestigious: 3.2,
+  presumption: 2.9,
+  presumptive: 2.2,
+  presupposed: 1.8,
+  presupposes: 2,
+  pretensions: 2.1,
+  pretentious: 3.3,
+  prettifying: 1.3,
+  preventable: 1.6,
+  priestesses: 2.4,
+  primitively: 1.6,
+  principally: 2.3,
+  prioritized: 2.1,
+  prioritizes: 1.9,
+  privatizing: 1.6,
+  privileging: 1.3,
+  prizefights: 1.3,
+  probability: 3.3,
+  problematic: 3,
+  proceedings: 3.5,
+  processions: 1.8,
+  proclaiming: 2.2,
+  procreating: 2,
+  procreation: 2.6,
+  procreative: 1.8,
+  procurement: 2.4,
+  productions: 3.1,
+  profanation: 1.6,
+  profanities: 1.6,
+  professions: 2.6,
+  proficiency: 2.6,
+  profligates: 1.3,
+  profoundest: 1.8,
+  progenitors: 1.6,
+  programmers: 2.4,
+  programming: 3.5,
+  progressing: 2.9,
+  progression: 2.9,
+  progressive: 3.3,
+  prohibiting: 2.2,
+  prohibition: 3.1,
+  prohibitive: 2.2,
+  projectiles: 2.1,
+  projections: 3,
+  proletarian: 2.2,
+  proletariat: 2.4,
+  promenading: 1.6,
+  prominently: 2.3,
+  promiscuity: 2.8,
+  promiscuous: 3,
+  promisingly: 1.3,
+  promotional: 2.9,
+  promulgated: 1.6,
+  promulgates: 1.3,
+  pronouncing: 2.6,
+  proofreader: 1.3,
+  propagating: 2,
+  propagation: 2.3,
+  prophesying: 1.6,
+  prophylaxis: 1.8,
+  propinquity: 1.3,
+  proportions: 3.2,
+  proposition: 3.9,
+  proprietary: 2.7,
+  proprietors: 2.1,
+  prosecuting: 3.1,
+  prosecution: 3.9,
+  prosecutors: 3.1,
+  proselytize: 1.3,
+  prospecting: 2.7,
+  prospective: 3.1,
+  prospectors: 2.2,
+  prostituted: 1.3,
+  prostitutes: 3.5,
+  prostrating: 1.3,
+  prostration: 1.9,
+  protagonist: 2.5,
+  protections: 2.3,
+  protestants: 2.5,
+  protraction: 1.3,
+  protrusions: 1.6,
+  provincials: 1.3,
+  provisional: 2.9,
+  provisioned: 1.3,
+  provocation: 3,
+  provocative: 3.2,
+  psychedelic: 2.9,
+  psychiatric: 3.7,
+  psychically: 2.2,
+  psychogenic: 1.6,
+  psychopaths: 2.6,
+  pterodactyl: 2.6,
+  publication: 3.2,
+  publicizing: 1.9,
+  publishable: 1.6,
+  pulchritude: 2.4,
+  pulverizing: 2.2,
+  punctilious: 1.8,
+  punctuality: 2.8,
+  punctuating: 1.6,
+  punctuation: 2.6,
+  punishments: 2.6,
+  purgatorial: 1.3,
+  puritanical: 2.4,
+  purportedly: 1.8,
+  purposeless: 1.6,
+  pussyfooted: 1.3,
+  putrescence: 1.6,
+  pyromaniacs: 1.3,
+  pyrotechnic: 1.6,
+  quadruplets: 1.9,
+  quadrupling: 1.3,
+  qualitative: 1.6,
+  quantifiers: 2.1,
+  quantifying: 1.6,
+  quarantined: 3,
+  quarantines: 1.9,
+  quarrelsome: 2.2,
+  quarterback: 3.7,
+  quarterdeck: 2.3,
+  quarterlies: 1.9,
+  quesadillas: 1.9,
+  questioning: 4,
+  quicksilver: 2.5,
+  quintuplets: 2.4,
+  quizzically: 1.3,
+  racquetball: 3.1,
+  radioactive: 3.5,
+  radiologist: 2.6,
+  ragamuffins: 1.3,
+  railroading: 2.3,
+  randomizing: 1.3,
+  rapaciously: 1.3,
+  rapscallion: 1.6,
+  raspberries: 2.6,
+  rationalist: 1.8,
+  rationality: 2.3,
+  rationalize: 2.8,
+  rattlesnake: 3.2,
+  ravishingly: 1.3,
+  reactionary: 2.5,
+  reactivated: 2.5,
+  reactivates: 1.3,
+  readjusting: 2.4,
+  reaffirming: 1.3,
+  realization: 3,
+  reanimating: 1.6,
+  reappearing: 1.8,
+  reappointed: 1.3,
+  reappraisal: 1.9,
+  rearranging: 2.8,
+  reassembled: 2.1,
+  reassessing: 1.3,
+  reassigning: 2,
+  reassurance: 2.8,
+  reawakening: 1.3,
+  rebroadcast: 1.8,
+  recapturing: 2,
+  receptacles: 1.8,
+  receptivity: 1.3,
+  recidivists: 1.3,
+  reciprocate: 2.7,
+  reciprocity: 2.2,
+  recitations: 2.1,
+  recitatives: 1.3,
+  reclamation: 2.6,
+  recognition: 3.7,
+  recognizing: 2.9,
+  recollected: 1.8,
+  recombining: 1.6,
+  recommenced: 1.3,
+  recommended: 3.7,
+  reconciling: 2.2,
+  recondition: 1.3,
+  reconfigure: 2.7,
+  reconnected: 2.4,
+  reconnoiter: 2.4,
+  reconsiders: 1.3,
+  reconstruct: 3.1,
+  reconvening: 1.3,
+  recoverable: 2,
+  recreations: 1.9,
+  recriminate: 1.6,
+  recruitment: 2.9,
+  rectangular: 2.6,
+  recuperated: 2.1,
+  recuperates: 1.3,
+  recurrences: 1.3,
+  recyclables: 2,
+  redecorated: 2.5,
+  rededicated: 1.6,
+  redesigning: 2.2,
+  redeveloped: 1.3,
+  redirecting: 2.3,
+  rediscovery: 1.3,
+  redoubtable: 2.1,
+  reeducation: 2.2,
+  reemphasize: 1.6,
+  reenactment: 3,
+  reenlisting: 1.9,
+  reestablish: 2.6,
+  reevaluated: 2.2,
+  referencing: 2.4,
+  referendums: 1.3,
+  referential: 1.8,
+  refinancing: 1.9,
+  refinements: 2.2,
+  refinishing: 1.8,
+  reflections: 2.8,
+  reflexively: 1.3,
+  reformation: 2.3,
+  reformatory: 2.5,
+  reformatted: 1.9,
+  reformulate: 1.6,
+  refreshment: 3,
+  refrigerant: 1.3,
+  refrigerate: 2.3,
+  refurbished: 2.2,
+  regenerated: 2.3,
+  regenerates: 1.9,
+  regionalism: 1.3,
+  registering: 3,
+  registrants: 1.3,
+  regressions: 1.3,
+  regretfully: 2.6,
+  regrettable: 3,
+  regrettably: 2.8,
+  regulations: 3.8,
+  regurgitate: 2.4,
+  reimbursing: 1.6,
+  reincarnate: 2.4,
+  reinforcing: 2.4,
+  reinserting: 1.3,
+  reinstating: 2.3,
+  reinventing: 2.3,
+  reiteration: 1.3,
+  rejuvenated: 2.1,
+  rejuvenates: 1.3,
+  reliability: 2.5,
+  religiously: 2.7,
+  reluctantly: 2.8,
+  remaindered: 1.3,
+  remembering: 3.8,
+  remembrance: 2.9,
+  reminiscent: 2.6,
+  reminiscing: 2.7,
+  remittances: 1.3,
+  remorseless: 2,
+  remortgaged: 1.8,
+  remunerated: 1.6,
+  renaissance: 3.3,
+  renegotiate: 2.8,
+  renovations: 2.9,
+  renumbering: 1.3,
+  reoccurring: 2.3,
+  reorganized: 2.2,
+  reorganizes: 1.3,
+  reparations: 2.4,
+  repatriated: 2.2,
+  repetitions: 2,
+  repetitious: 2.1,
+  replaceable: 2.3,
+  replacement: 3.8,
+  replenished: 2.1,
+  replenishes: 1.6,
+  replicating: 2.3,
+  replication: 2.3,
+  repossessed: 2.7,
+  repossesses: 1.3,
+  represented: 3.6,
+  repressions: 1.3,
+  reprimanded: 2.6,
+  reproachful: 1.8,
+  reproaching: 1.3,
+  reprocessed: 1.3,
+  reproducing: 2.4,
+  republicans: 3.1,
+  repudiating: 1.9,
+  repudiation: 2,
+  repulsively: 1.6,
+  reputations: 2.8,
+  requirement: 3.2,
+  requisition: 3,
+  rescheduled: 2.9,
+  researchers: 3,
+  researching: 3.2,
+  resemblance: 3.5,
+  resentments: 2.2,
+  reservation: 4,
+  reshuffling: 1.6,
+  residencies: 1.8,
+  residential: 3.3,
+  resignation: 3.6,
+  resolutions: 2.6,
+  resourceful: 3.2,
+  respectable: 3.8,
+  respectably: 2,
+  respiration: 3.1,
+  respirators: 2.1,
+  respiratory: 3.4,
+  resplendent: 2.3,
+  responsible: 4.7,
+  responsibly: 2.6,
+  restatement: 1.3,
+  restaurants: 3.8,
+  restfulness: 1.3,
+  restitution: 2.7,
+  restoration: 3,
+  restorative: 1.9,
+  restraining: 3.5,
+  restricting: 2.4,
+  restriction: 2.7,
+  restrictive: 2.4,
+  restructure: 2.4,
+  resubmitted: 1.3,
+  resurfacing: 2,
+  resurrected: 3,
+  resuscitate: 2.9,
+  retaliating: 2.1,
+  retaliation: 3,
+  retaliatory: 2.4,
+  retardation: 2.5,
+  retirements: 1.3,
+  retractable: 2.2,
+  retractions: 1.6,
+  retribution: 3.2,
+  retributive: 1.3,
+  retrievable: 1.6,
+  retroactive: 2.6,
+  retrofitted: 1.9,
+  retrorocket: 1.3,
+  reupholster: 1.6,
+  revelations: 3,
+  reverberate: 1.6,
+  revitalized: 1.3,
+  revoltingly: 1.3,
+  revolutions: 2.8,
+  rhinestones: 2.7,
+  ricocheting: 1.6,
+  righteously: 2.3,
+  ringleaders: 1.8,
+  ritualistic: 2.7,
+  roadrunners: 1.9,
+  romanticism: 2.3,
+  romanticist: 1.6,
+  romanticize: 2.3,
+  roughnecked: 1.3,
+  roundabouts: 1.3,
+  roustabouts: 1.3,
+  rubbernecks: 1.3,
+  rudimentary: 2.8,
+  ruminations: 1.3,
+  sacramental: 2.1,
+  sacrificial: 2.8,
+  sacrificing: 3.2,
+  safeguarded: 1.8,
+  safekeeping: 3,
+  salamanders: 2,
+  salespeople: 2.4,
+  salesperson: 2.5,
+  saltshakers: 1.3,
+  salutations: 2.8,
+  salvageable: 2.4,
+  sanctifying: 1.6,
+  sanctioning: 1.3,
+  sanctuaries: 2,
+  sandbagging: 2.2,
+  sandblaster: 1.3,
+  sandcastles: 1.9,
+  sandpapered: 1.3,
+  sanitariums: 1.6,
+  sarcophagus: 2.8,
+  sartorially: 1.3,
+  saxophonist: 2.1,
+  scaffolding: 2.4,
+  scandalized: 2,
+  scapegoated: 1.3,
+  scholarship: 4,
+  schoolbooks: 2.5,
+  schoolchild: 1.6,
+  schoolgirls: 2.7,
+  schoolhouse: 3,
+  schoolmates: 2.4,
+  schoolrooms: 1.3,
+  schoolyards: 1.8,
+  scintillate: 1.6,
+  scoreboards: 1.9,
+  scoutmaster: 2.3,
+  screenplays: 2.6,
+  screwdriver: 3.4,
+  scrimmaging: 1.9,
+  scrimshawed: 1.3,
+  scrumptious: 2.9,
+  scrutinized: 2.4,
+  scuttlebutt: 2.8,
+  searchlight: 2.6,
+  seasickness: 2.1,
+  secondaries: 1.8,
+  secondarily: 1.3,
+  secretarial: 2.5,
+  secretariat: 2,
+  secretaries: 3.2,
+  secretively: 1.3,
+  sedimentary: 1.9,
+  seductively: 2.1,
+  segregation: 2.9,
+  seismically: 1.3,
+  seismograph: 1.8,
+  selectively: 2.1,
+  selectivity: 1.8,
+  selfishness: 2.9,
+  semaphoring: 1.3,
+  semicircles: 1.3,
+  semiprivate: 1.6,
+  semiretired: 1.6,
+  semiskilled: 1.3,
+  semitrailer: 1.3,
+  sensational: 3.6,
+  senselessly: 1.6,
+  sensibility: 2.7,
+  sensitively: 1.3,
+  sensitivity: 3.5,
+  sentimental: 3.8,
+  separations: 2.4,
+  separatists: 2.4,
+  sequestered: 2.7,
+  serendipity: 2.8,
+  seriousness: 3.1,
+  sermonizing: 1.6,
+  serviceable: 2.4,
+  settlements: 2.6,
+  seventeenth: 2.6,
+  shadowboxes: 1.3,
+  shallowness: 2,
+  shamelessly: 2.6,
+  shanghaiing: 1.3,
+  shantytowns: 1.3,
+  shareholder: 2.7,
+  shellacking: 2.2,
+  shenanigans: 3.1,
+  shepherdess: 2.1,
+  shepherding: 1.6,
+  shillelaghs: 1.6,
+  shipbuilder: 1.6,
+  shipwrecked: 2.8,
+  shirtsleeve: 1.3,
+  shoehorning: 1.3,
+  shoestrings: 2,
+  shopkeepers: 2.4,
+  shoplifters: 2.2,
+  shoplifting: 3.2,
+  shortchange: 1.8,
+  shortcoming: 2,
+  shotgunning: 1.3,
+  shouldering: 2.1,
+  showboating: 2.4,
+  showmanship: 2.4,
+  shrubberies: 1.3,
+  sidestepped: 1.3,
+  sidetracked: 2.9,
+  sightseeing: 3.2,
+  signatories: 2.1,
+  significant: 3.8,
+  silhouetted: 1.9,
+  silhouettes: 2.2,
+  silversmith: 1.8,
+  simplifying: 2.2,
+  simulations: 2.6,
+  singularity: 3.1,
+  skateboards: 2.6,
+  skedaddling: 1.8,
+  skeptically: 1.3,
+  skirmishing: 1.8,
+  skulduggery: 1.9,
+  skyrocketed: 2.2,
+  skyscrapers: 2.9,
+  slaughtered: 3.5,
+  slaughterer: 1.6,
+  sleepwalker: 2.3,
+  sleepyheads: 1.9,
+  slipperiest: 1.3,
+  smithereens: 2.7,
+  smokestacks: 1.6,
+  snapdragons: 1.6,
+  snowballing: 2.1,
+  snowblowers: 1.6,
+  snowmobiles: 1.9,
+  snowshoeing: 2.1,
+  sociability: 1.6,
+  socialistic: 1.8,
+  socializing: 2.7,
+  sociologist: 2.1,
+  softhearted: 2.3,
+  solidifying: 1.8,
+  soliloquies: 1.8,
+  somersaults: 2.4,
+  songwriters: 2.5,
+  soothsayers: 1.6,
+  soulfulness: 1.3,
+  soundlessly: 1.6,
+  soundtracks: 1.8,
+  southerners: 2.6,
+  southwester: 2,
+  sovereignty: 2.8,
+  spacecrafts: 1.8,
+  speakeasies: 2,
+  spearheaded: 1.9,
+  specialists: 3.2,
+  specialized: 3,
+  specializes: 3,
+  specialties: 2.6,
+  spectacular: 3.8,
+  speculating: 2.8,
+  speculation: 3.4,
+  speculative: 2.4,
+  speculators: 1.9,
+  speedometer: 2.4,
+  spellbinder: 1.6,
+  spendthrift: 1.8,
+  spermatozoa: 2,
+  spiritually: 3,
+  splattering: 2.1,
+  splintering: 2.3,
+  spluttering: 2.2,
+  spoilsports: 1.8,
+  spokeswoman: 1.8,
+  sponsorship: 2.6,
+  spontaneity: 2.9,
+  spontaneous: 3.6,
+  sportswoman: 1.6,
+  spreadsheet: 2.4,
+  springboard: 1.9,
+  squandering: 2.4,
+  squeamishly: 1.3,
+  squirreling: 1.3,
+  stabilizers: 2.4,
+  stabilizing: 2.8,
+  stalactites: 1.9,
+  stalagmites: 1.3,
+  standardize: 1.8,
+  standoffish: 2.3,
+  standpoints: 1.3,
+  statistical: 3,
+  steadfastly: 1.9,
+  stealthiest: 1.3,
+  steamrolled: 1.9,
+  steamroller: 2.4,
+  steeplejack: 1.3,
+  stenography: 1.9,
+  stepbrother: 2.5,
+  stepfathers: 1.6,
+  stepladders: 1.9,
+  stepmothers: 1.9,
+  stepsisters: 2.3,
+  stereotyped: 2.1,
+  stereotypes: 2.6,
+  sterilizers: 1.3,
+  sterilizing: 1.8,
+  stethoscope: 3,
+  stewardship: 1.6,
+  stigmatized: 1.8,
+  stigmatizes: 1.3,
+  stillbirths: 1.9,
+  stimulating: 3.4,
+  stimulation: 3.1,
+  stipulation: 2.2,
+  stockbroker: 3,
+  stockholder: 2.9,
+  stockpiling: 2.3,
+  stomachache: 3,
+  stonewalled: 2.2,
+  stopwatches: 1.6,
+  storefronts: 1.8,
+  storehouses: 1.8,
+  storekeeper: 2.5,
+  storyteller: 2.7,
+  straightens: 2.1,
+  straightest: 2.2,
+  strangeness: 2.5,
+  strategists: 2,
+  streamlined: 2.6,
+  streetlight: 2.7,
+  strengthens: 2.5,
+  strenuously: 2.2,
+  stringently: 1.3,
+  strongholds: 1.6,
+  structuring: 2,
+  stubbornest: 1.3,
+  stultifying: 1.8,
+  stupidities: 2,
+  subbasement: 2.2,
+  subcontract: 1.9,
+  subcultures: 1.3,
+  subdividing: 1.3,
+  subdivision: 2.8,
+  subjugation: 2.4,
+  subjunctive: 2.1,
+  sublimating: 1.8,
+  sublimation: 1.9,
+  submergence: 1.3,
+  submersible: 2.8,
+  submissions: 2.4,
+  subordinate: 2.8,
+  subornation: 1.6,
+  subpoenaing: 1.3,
+  subroutines: 1.9,
+  subscribers: 2.4,
+  subscribing: 1.9,
+  subsections: 1.6,
+  subservient: 2.7,
+  subsidizing: 1.9,
+  subsistence: 1.8,
+  substandard: 2.6,
+  substantial: 3.6,
+  substantive: 2.4,
+  substations: 2.1,
+  substituted: 2.6,
+  substitutes: 2.5,
+  subtracting: 2.4,
+  subtraction: 2.3,
+  suburbanite: 2.1,
+  subversives: 2.1,
+  successions: 1.3,
+  sufficiency: 1.9,
+  suffocating: 3.2,
+  suffocation: 2.9,
+  suffragette: 2.2,
+  sugarcoated: 1.8,
+  suggestible: 2.2,
+  suggestions: 3.7,
+  suitability: 2,
+  summerhouse: 2.6,
+  supercharge: 1.3,
+  superficial: 3.5,
+  superfluity: 1.3,
+  superfluous: 2.7,
+  superimpose: 2.3,
+  superiority: 3.1,
+  superlative: 2,
+  supermarket: 3.7,
+  supermodels: 2.3,
+  superpowers: 2.7,
+  superseding: 1.3,
+  supertanker: 1.8,
+  supervening: 1.6,
+  supervising: 2.9,
+  supervision: 3.4,
+  supervisors: 2.6,
+  supervisory: 2.5,
+  supplanting: 1.3,
+  supplements: 2.7,
+  supplicants: 1.3,
+  supportable: 1.6,
+  supposition: 2.5,
+  suppository: 2.4,
+  suppressing: 2.8,
+  suppression: 2.7,
+  suppurating: 1.3,
+  supremacist: 1.9,
+  surmounting: 1.3,
+  surrealists: 2.3,
+  surrendered: 3.4,
+  surrounding: 3.6,
+  susceptible: 3.1,
+  suspenseful: 2.3,
+  suspensions: 1.9,
+  sustainable: 2.1,
+  swallowtail: 1.8,
+  sweatshirts: 2.4,
+  sweepstakes: 2.9,
+  sweetbreads: 2.4,
+  sweethearts: 3.4,
+  switchblade: 2.6,
+  switchboard: 3.1,
+  sycophantic: 1.6,
+  symbolizing: 2,
+  symmetrical: 2.8,
+  sympathetic: 3.6,
+  sympathized: 1.6,
+  sympathizer: 2.5,
+  sympathizes: 1.9,
+  symptomatic: 2.8,
+  synchronize: 2.8,
+  synchronous: 1.3,
+  syncopation: 1.6,
+  syndication: 2.5,
+  synergistic: 1.6,
+  synthesized: 2.4,
+  synthesizer: 2.7,
+  synthesizes: 1.3,
+  syphilitics: 1.3,
+  tablecloths: 2.9,
+  tablespoons: 1.8,
+  tambourines: 2.1,
+  tantalizing: 2.5,
+  tattletales: 1.6,
+  taxidermist: 2.2,
+  tearjerkers: 1.6,
+  teaspoonful: 2.1,
+  technically: 4.2,
+  technicians: 3.1,
+  technocracy: 1.8,
+  technocrats: 1.3,
+  tediousness: 1.6,
+  teetotalers: 1.6,
+  telecasters: 1.3,
+  telegraphed: 2.5,
+  telegrapher: 1.8,
+  telegraphic: 1.3,
+  telekinesis: 2.6,
+  telephoning: 2.6,
+  telescoping: 1.9,
+  televisions: 2.5,
+  temperament: 3.1,
+  temperature: 4.1,
+  tempestuous: 2.4,
+  temporaries: 2.2,
+  temporarily: 3.7,
+  temptations: 2.9,
+  tenaciously: 1.6,
+  tendentious: 1.9,
+  tenderizing: 1.8,
+  tenderloins: 1.8,
+  tentatively: 2.2,
+  terminating: 2.8,
+  termination: 3.1,
+  terminators: 2.1,
+  terminology: 2.7,
+  terrestrial: 2.3,
+  territorial: 3.2,
+  territories: 3.1,
+  terrorizing: 2.9,
+  testimonial: 2.8,
+  testimonies: 2.5,
+  theologians: 2.4,
+  theological: 2.6,
+  theoretical: 3.3,
+  therapeutic: 3.1,
+  thereabouts: 2.1,
+  thermometer: 3.3,
+  thingamajig: 2.3,
+  thirteenths: 1.3,
+  thistledown: 1.3,
+  thoughtless: 3.1,
+  thousandths: 1.3,
+  threatening: 4.1,
+  thriftiness: 1.3,
+  thumbscrews: 1.8,
+  thunderbolt: 3.2,
+  thunderclap: 2.8,
+  thunderhead: 2.4,
+  tiddlywinks: 1.9,
+  tightfisted: 1.8,
+  titillating: 2.4,
+  titillation: 2.1,
+  toastmaster: 1.8,
+  tobacconist: 2,
+  tobogganing: 2.1,
+  tonsillitis: 1.3,
+  toothpastes: 1.3,
+  topographic: 1.3,
+  tournaments: 2.8,
+  tourniquets: 1.6,
+  townspeople: 3,
+  tracheotomy: 2.6,
+  trademarked: 1.6,
+  traditional: 3.9,
+  traffickers: 1.6,
+  trafficking: 3,
+  tragicomedy: 1.3,
+  trailblazer: 1.8,
+  trampolines: 1.3,
+  tranquility: 2.9,
+  tranquilize: 2.1,
+  transacting: 1.6,
+  transaction: 3.5,
+  transceiver: 3,
+  transcended: 2.2,
+  transcribed: 2.4,
+  transcripts: 3.2,
+  transducers: 1.6,
+  transferred: 4.1,
+  transformed: 3.3,
+  transformer: 2.7,
+  transfusion: 3.2,
+  transistors: 2.3,
+  transitions: 2.3,
+  translating: 3.1,
+  translation: 3.7,
+  translators: 2.4,
+  translucent: 2.4,
+  transmitted: 3.3,
+  transmitter: 3.6,
+  transmuting: 1.3,
+  transparent: 3.3,
+  transpiring: 1.6,
+  transplants: 3,
+  transponder: 3.1,
+  transported: 3.3,
+  transporter: 3.2,
+  transsexual: 2.7,
+  trapezoidal: 1.3,
+  traumatized: 3.1,
+  traumatizes: 1.3,
+  travelogues: 1.3,
+  treacheries: 1.6,
+  treacherous: 3.3,
+  treasonable: 2.1,
+  trepidation: 2.1,
+  trespassers: 2.8,
+  trespassing: 3.5,
+  tribulation: 1.6,
+  tributaries: 1.6,
+  triceratops: 1.6,
+  triplicates: 1.3,
+  triumvirate: 2.8,
+  trivialized: 2.1,
+  trivializes: 1.6,
+  troglodytes: 1.8,
+  troubadours: 2.1,
+  troublesome: 3.2,
+  trusteeship: 1.3,
+  trustworthy: 3.3,
+  tumbleweeds: 2,
+  turnarounds: 1.8,
+  turtledoves: 2.4,
+  turtlenecks: 2.2,
+  typecasting: 1.6,
+  typesetting: 1.6,
+  typewriters: 2.6,
+  typewriting: 1.8,
+  typewritten: 2.2,
+  tyrannosaur: 1.6,
+  ultrasounds: 1.9,
+  ultraviolet: 2.8,
+  unalterable: 2,
+  unalterably: 1.3,
+  unambiguous: 1.8,
+  unanimously: 2.8,
+  unannounced: 3.1,
+  unappealing: 2.5,
+  unashamedly: 1.3,
+  unavailable: 3.3,
+  unavoidable: 3.1,
+  unavoidably: 2.4,
+  unbeknownst: 2.5,
+  unbelievers: 1.8,
+  unbreakable: 2.8,
+  unburdening: 1.3,
+  unbuttoning: 2.2,
+  unceasingly: 2,
+  uncertainty: 3.1,
+  unchristian: 2.1,
+  uncivilized: 2.8,
+  uncleanness: 1.3,
+  uncluttered: 1.9,
+  uncollected: 1.3,
+  uncommitted: 2.1,
+  uncompleted: 1.9,
+  unconcerned: 2.5,
+  unconfirmed: 2.8,
+  unconnected: 2.4,
+  unconscious: 4.1,
+  uncontested: 2,
+  unconvinced: 2.2,
+  uncountable: 1.3,
+  undefinable: 1.8,
+  undelivered: 1.3,
+  undemanding: 2.1,
+  underexpose: 1.3,
+  underfunded: 2.2,
+  underground: 4.1,
+  undergrowth: 1.8,
+  underhanded: 2.8,
+  underlining: 2,
+  undermining: 2.8,
+  underpasses: 1.3,
+  underpaying: 1.6,
+  underplayed: 1.3,
+  underrating: 1.6,
+  underscored: 1.3,
+  underscores: 2.2,
+  undershirts: 2,
+  undershorts: 2.1,
+  undersigned: 2,
+  understands: 4,
+  understated: 2.7,
+  undertakers: 2.3,
+  undertaking: 2.9,
+  undervalued: 2.1,
+  underweight: 2.3,
+  underwriter: 1.9,
+  undeserving: 2.2,
+  undesirable: 2.8,
+  undeveloped: 2.4,
+  undignified: 2.8,
+  undisclosed: 2.3,
+  undisguised: 1.3,
+  undisturbed: 2.8,
+  undoubtedly: 3.5,
+  unemotional: 2.3,
+  unendurable: 2.2,
+  unequivocal: 2.2,
+  unexplained: 3.2,
+  unfailingly: 1.6,
+  unfavorable: 2.4,
+  unfavorably: 1.3,
+  unflappable: 2.1,
+  unflinching: 2.1,
+  unforgiving: 2.7,
+  unfortunate: 4.1,
+  unfulfilled: 2.6,
+  unfurnished: 1.9,
+  unhappiness: 3.1,
+  unification: 3.2,
+  unimportant: 3.4,
+  unimpressed: 2.5,
+  uninhabited: 2.7,
+  uninhibited: 2.4,
+  uninitiated: 1.3,
+  uninspiring: 2.3,
+  universally: 2.7,
+  unjustified: 2.2,
+  unknowingly: 2.5,
+  unlikeliest: 1.9,
+  unmitigated: 2.7,
+  unnaturally: 2.1,
+  unnecessary: 3.8,
+  unobtrusive: 2.5,
+  unorganized: 2,
+  unpalatable: 1.6,
+  unpatriotic: 2.4,
+  unperturbed: 1.3,
+  unprintable: 1.8,
+  unpromising: 1.8,
+  unprotected: 3.1,
+  unpublished: 2.4,
+  unqualified: 2.7,
+  unreachable: 2.6,
+  unrealistic: 3,
+  unreasoning: 1.9,
+  unregulated: 2.1,
+  unrehearsed: 2,
+  unrelenting: 2.7,
+  unremitting: 1.8,
+  unrepentant: 2.4,
+  unrewarding: 1.8,
+  unsatisfied: 2.7,
+  unsaturated: 1.3,
+  unscheduled: 2.8,
+  unscrambled: 1.8,
+  unscrambles: 1.6,
+  unselfishly: 2.2,
+  unsheathing: 1.3,
+  unsolicited: 2.6,
+  unspeakable: 3.3,
+  unspeakably: 2.3,
+  unspecified: 2.4,
+  unstoppable: 3.2,
+  unsupported: 2.4,
+  unsurpassed: 2.4,
+  unsuspected: 2.2,
+  unsweetened: 1.3,
+  unthinkable: 3.1,
+  untouchable: 2.9,
+  unutterable: 1.3,
+  unutterably: 1.8,
+  unvarnished: 2.1,
+  unwarranted: 2.6,
+  unwholesome: 2.1,
+  unwillingly: 2.3,
+  unwittingly: 2.6,
+  unworthiest: 1.6,
+  upbringings: 1.6,
+  upholstered: 2.2,
+  uselessness: 2,
+  utilitarian: 2.3,
+  utilization: 2.2,
+  vacationers: 1.6,
+  vacationing: 2.7,
+  vaccinating: 1.3,
+  vaccination: 2.9,
+  vacillating: 1.6,
+  valedictory: 1.8,
+  vandalizing: 2.5,
+  vanquishing: 3.1,
+  variability: 1.6,
+  vasectomies: 1.9,
+  vegetarians: 2.9,
+  ventilating: 2.3,
+  ventilation: 3.3,
+  ventilators: 1.3,
+  ventricular: 2.5,
+  venturesome: 1.3,
+  verbalizing: 1.6,
+  versatility: 2.2,
+  vertebrates: 1.8,
+  vicariously: 2.8,
+  vichyssoise: 2.4,
+  viciousness: 2.1,
+  vicissitude: 1.3,
+  videotaping: 2.7,
+  vigilantism: 1.3,
+  vinaigrette: 2.4,
+  vindicating: 1.3,
+  vindication: 2.6,
+  violoncello: 1.6,
+  viscountess: 1.6,
+  visionaries: 2.5,
+  visitations: 2.2,
+  visualizing: 2.5,
+  vivisection: 2.5,
+  voluntarily: 3.3,
+  volunteered: 3.7,
+  vouchsafing: 1.3,
+  voyeuristic: 2.1,
+  vulcanizing: 1.3,
+  vulgarities: 2,
+  wainscoting: 1.8,
+  wakefulness: 1.9,
+  wallflowers: 2.3,
+  wallpapered: 2.1,
+  warehousing: 1.8,
+  warmhearted: 1.9,
+  washerwoman: 2.1,
+  washerwomen: 1.6,
+  wastebasket: 2.8,
+  watchmakers: 1.3,
+  watchtowers: 1.9,
+  watercolors: 2.6,
+  waterfronts: 1.3,
+  waterlogged: 2.1,
+  watermarked: 1.6,
+  watermelons: 2.6,
+  waterspouts: 1.3,
+  wavelengths: 2.5,
+  weathercock: 1.6,
+  wellsprings: 1.3,
+  westernized: 1.6,
+  westernmost: 1.3,
+  wheelbarrow: 2.8,
+  wheelchairs: 2.5,
+  wheelwright: 1.6,
+  whereabouts: 3.8,
+  wherewithal: 2.1,
+  whitewashed: 2.3,
+  wholesalers: 2.1,
+  whorehouses: 2.3,
+  wildcatting: 2.1,
+  wildebeests: 2.2,
+  wildflowers: 2.3,
+  willfulness: 1.3,
+  willingness: 3.1,
+  windbreaker: 2.5,
+  windmilling: 1.3,
+  windowpanes: 2.1,
+  windowsills: 1.6,
+  windscreens: 1.6,
+  windshields: 2.5,
+  windsurfing: 2.2,
+  wineglasses: 1.3,
+  wintergreen: 1.9,
+  wiretapping: 2,
+  wistfulness: 1.3,
+  withdrawals: 2.7,
+  withdrawing: 2.9,
+  withholding: 3.3,
+  wonderfully: 3.3,
+  woodcarving: 1.9,
+  woodcutters: 1.3,
+  woodcutting: 1.3,
+  woodpeckers: 2.1,
+  woodworking: 2,
+  workaholics: 2.1,
+  workmanship: 2.7,
+  workstation: 2.5,
+  worldliness: 1.8,
+  wraparounds: 1.3,
+  wrongdoings: 2.2,
+  xylophonist: 1.6,
+  zealousness: 1.6
+};
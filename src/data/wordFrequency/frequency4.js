@@ -0,0 +1,2244 @@
+// src/data/wordFrequency/frequency4.js
+//
+// 4-LETTER WORD FREQUENCY (generated by scripts/buildWordFrequency.js - do not edit by hand)
+//
+// Zipf frequency (log10 of occurrences per billion words) from SUBTLEX-US film
+// subtitles. ~1 = rare, 3 = uncommon, 4-5 = everyday words. Words that never
+// appear in the corpus are left out (treated as 0).
+//
+// Source: subtlex-word-frequencies npm package (ISC, Copyright (c) 2015 Zeke Sikelianos)
+
+/**
+ * Commonness score per word
+ * Total: 2228 of 2299 words found in the corpus
+ */
+export const WORD_FREQUENCY = {
+  abed: 2.3,
+  abet: 2,
+  able: 5.2,
+  ably: 2.2,
+  abut: 2.1,
+  aced: 2.9,
+  aces: 3.6,
+  ache: 3.4,
+  achy: 2.7,
+  acid: 4,
+  acme: 3.1,
+  acne: 3,
+  acre: 3.3,
+  acts: 4.1,
+  adds: 3.6,
+  afar: 3.1,
+  agar: 1.3,
+  aged: 3.6,
+  ages: 4,
+  agog: 2.1,
+  ague: 1.6,
+  ahem: 3.9,
+  ahoy: 3.6,
+  aide: 3.3,
+  aids: 3,
+  ails: 2.9,
+  aims: 3.1,
+  airs: 2.9,
+  airy: 2.5,
+  ajar: 2.7,
+  akin: 2.4,
+  alas: 3.6,
+  ales: 2,
+  ally: 4.5,
+  alms: 2.7,
+  aloe: 2.5,
+  also: 5.3,
+  alto: 3.1,
+  alum: 2.1,
+  amen: 4.4,
+  amid: 2.9,
+  ammo: 3.7,
+  amok: 2.7,
+  amps: 3,
+  anal: 3.4,
+  anew: 2.9,
+  ankh: 2.5,
+  anon: 2.6,
+  ante: 3.3,
+  anti: 2.7,
+  ants: 3.9,
+  anus: 3,
+  apes: 3.6,
+  apex: 2.9,
+  apps: 2.3,
+  aqua: 3.1,
+  arch: 3.6,
+  arcs: 2.2,
+  area: 4.9,
+  ares: 3.5,
+  aria: 2.8,
+  arid: 2.5,
+  arks: 1.8,
+  arms: 4.8,
+  army: 4.9,
+  arts: 4,
+  arty: 3,
+  ashy: 2.2,
+  asks: 4.2,
+  asps: 2,
+  atom: 3.4,
+  atop: 3,
+  aunt: 4.7,
+  aura: 3.3,
+  auto: 3.9,
+  aver: 1.9,
+  avid: 2.7,
+  avow: 1.6,
+  away: 5.9,
+  awed: 2.1,
+  awry: 2.7,
+  axed: 2.5,
+  axes: 2.8,
+  axis: 3.2,
+  axle: 3.1,
+  axon: 1.6,
+  ayes: 2.2,
+  baas: 2.4,
+  babe: 4.6,
+  baby: 5.7,
+  back: 6.3,
+  bade: 2.6,
+  bags: 4.5,
+  bail: 4.2,
+  bait: 4,
+  bake: 3.8,
+  bald: 4,
+  bale: 3.3,
+  balk: 1.8,
+  ball: 5,
+  balm: 2.8,
+  band: 4.7,
+  bane: 3.3,
+  bang: 4.3,
+  bani: 1.3,
+  bank: 4.9,
+  bans: 1.3,
+  barb: 3.4,
+  bard: 2.9,
+  bare: 3.9,
+  barf: 3.3,
+  bark: 3.7,
+  barn: 4.1,
+  bars: 4.3,
+  base: 4.5,
+  bash: 3.5,
+  bask: 2.8,
+  bass: 3.9,
+  bast: 2.4,
+  bate: 1.8,
+  bath: 4.5,
+  bats: 3.8,
+  baud: 1.3,
+  bawl: 2.7,
+  bays: 2.3,
+  bead: 3,
+  beak: 3.3,
+  beam: 3.9,
+  bean: 3.8,
+  bear: 4.8,
+  beat: 5.1,
+  beau: 3.8,
+  beck: 3.6,
+  beds: 3.9,
+  beef: 4.3,
+  been: 6.2,
+  beep: 3.8,
+  beer: 4.9,
+  bees: 3.7,
+  beet: 2.4,
+  begs: 3.1,
+  bell: 4.6,
+  belt: 4.4,
+  bend: 4.2,
+  bent: 3.9,
+  berg: 3.2,
+  berm: 2.2,
+  best: 5.6,
+  beta: 3.5,
+  bets: 4,
+  bevy: 2.3,
+  bias: 3.2,
+  bibs: 2.4,
+  bide: 2.7,
+  bids: 3.2,
+  bier: 1.6,
+  bike: 4.4,
+  bile: 2.9,
+  bilk: 2,
+  bill: 5.1,
+  bind: 3.5,
+  bins: 2.9,
+  bird: 4.7,
+  bite: 4.6,
+  bits: 4,
+  blab: 2.8,
+  blah: 4.1,
+  bled: 3.6,
+  blew: 4.5,
+  blip: 2.9,
+  blob: 3.1,
+  bloc: 3,
+  blog: 2.8,
+  blot: 3,
+  blow: 5,
+  blue: 5,
+  blur: 3.3,
+  boar: 3.3,
+  boas: 1.6,
+  boat: 5,
+  bobs: 2.4,
+  bode: 2.7,
+  body: 5.3,
+  bogs: 2.4,
+  boil: 3.8,
+  bola: 1.3,
+  bold: 3.9,
+  boll: 2.2,
+  bolt: 3.8,
+  bomb: 4.7,
+  bond: 4.5,
+  bone: 4.4,
+  bong: 3.4,
+  bony: 3.1,
+  boob: 3.5,
+  book: 5.2,
+  boom: 4.3,
+  boon: 3.3,
+  boor: 1.8,
+  boos: 2.2,
+  boot: 4,
+  bops: 1.6,
+  bore: 3.9,
+  born: 4.9,
+  bosh: 2.4,
+  boss: 5.1,
+  both: 5.5,
+  bout: 4.3,
+  bowl: 4.3,
+  bows: 3.2,
+  boys: 5.4,
+  bozo: 3.4,
+  brad: 4.5,
+  brag: 3.5,
+  bran: 3.1,
+  bras: 3.2,
+  brat: 3.8,
+  bray: 2.6,
+  bred: 3.4,
+  brew: 3.4,
+  brig: 3.5,
+  brim: 2.9,
+  brow: 3.3,
+  buck: 4.5,
+  buds: 3.2,
+  buff: 3.4,
+  bugs: 4.1,
+  bulb: 3.6,
+  bulk: 3.3,
+  bull: 4.4,
+  bump: 4.1,
+  bums: 3.6,
+  bung: 2.5,
+  bunk: 3.8,
+  buns: 3.6,
+  bunt: 2.9,
+  buoy: 3.1,
+  burg: 2.7,
+  burn: 4.7,
+  burp: 3.1,
+  burr: 2.8,
+  burs: 1.3,
+  bury: 4.3,
+  bush: 4.1,
+  buss: 2.2,
+  bust: 4.4,
+  busy: 5,
+  buts: 3.2,
+  butt: 4.6,
+  buys: 3.8,
+  buzz: 4.2,
+  byes: 1.3,
+  byte: 2.1,
+  cabs: 3.3,
+  cads: 1.9,
+  cage: 4.3,
+  cake: 4.7,
+  calf: 3.5,
+  call: 5.9,
+  calm: 4.9,
+  came: 5.7,
+  camp: 4.7,
+  cams: 2.7,
+  cane: 3.9,
+  cans: 3.9,
+  cant: 3.4,
+  cape: 3.9,
+  caps: 3.5,
+  card: 4.9,
+  care: 5.7,
+  carp: 2.9,
+  cars: 4.7,
+  cart: 4,
+  case: 5.5,
+  cash: 4.9,
+  cask: 2.1,
+  cast: 4.4,
+  cats: 4.3,
+  cave: 4.1,
+  caws: 1.8,
+  cede: 2.1,
+  cell: 4.7,
+  cent: 4,
+  chap: 3.8,
+  char: 3.1,
+  chat: 4.2,
+  chef: 4.1,
+  chew: 4,
+  chic: 3.4,
+  chin: 4.1,
+  chip: 4.3,
+  chit: 2.4,
+  chop: 4.1,
+  chow: 3.8,
+  chug: 3.4,
+  chum: 3.5,
+  cite: 3,
+  city: 5.2,
+  clad: 2.3,
+  clam: 3.6,
+  clan: 3.6,
+  clap: 3.7,
+  claw: 3.6,
+  clay: 4.1,
+  clef: 2.1,
+  clew: 2,
+  clip: 3.8,
+  clit: 2.8,
+  clod: 2.6,
+  clog: 2.9,
+  clop: 1.9,
+  clot: 3.3,
+  cloy: 1.6,
+  club: 5,
+  clue: 4.2,
+  coal: 3.8,
+  coat: 4.6,
+  coax: 2.9,
+  cobs: 1.6,
+  cock: 4.1,
+  coda: 2.1,
+  code: 4.7,
+  cods: 1.3,
+  coed: 2.8,
+  cogs: 2.6,
+  coif: 1.8,
+  coil: 3.2,
+  coin: 4,
+  coke: 4.3,
+  cola: 3.7,
+  cold: 5.1,
+  colt: 3.7,
+  coma: 4.1,
+  comb: 3.8,
+  come: 6.5,
+  cone: 3.5,
+  conk: 2.6,
+  cons: 3.3,
+  cook: 4.7,
+  cool: 5.3,
+  coon: 3.1,
+  coop: 4,
+  coos: 2,
+  coot: 2.8,
+  cope: 3.5,
+  cops: 4.9,
+  copy: 4.7,
+  cord: 3.8,
+  core: 4,
+  cork: 3.5,
+  corn: 4.2,
+  cost: 4.7,
+  cote: 1.8,
+  cots: 2.8,
+  coup: 3.4,
+  cove: 3.5,
+  cowl: 2,
+  cows: 4,
+  cozy: 3.8,
+  crab: 3.8,
+  crag: 2.6,
+  cram: 3.2,
+  crap: 4.8,
+  craw: 2.5,
+  crew: 4.7,
+  crib: 3.8,
+  crop: 3.7,
+  crow: 3.6,
+  crud: 3,
+  crux: 2.5,
+  cube: 3.5,
+  cubs: 3.3,
+  cued: 2.2,
+  cues: 2.8,
+  cuff: 3.8,
+  cull: 1.9,
+  cult: 3.6,
+  cums: 1.8,
+  cunt: 3.8,
+  cups: 3.8,
+  curb: 3.6,
+  curd: 2.6,
+  cure: 4.3,
+  curl: 3.4,
+  curs: 2,
+  curt: 3.4,
+  cusp: 2.4,
+  cuss: 3,
+  cute: 4.9,
+  cuts: 4.1,
+  cyst: 2.6,
+  czar: 2.8,
+  dabs: 2.6,
+  dado: 2.7,
+  dads: 3.3,
+  daft: 3.1,
+  dais: 2.4,
+  dale: 4,
+  dame: 4.1,
+  damn: 5.5,
+  damp: 3.5,
+  dams: 2.6,
+  dank: 2.7,
+  dare: 4.7,
+  dark: 4.9,
+  darn: 4.1,
+  dart: 3.3,
+  dash: 3.8,
+  data: 4.4,
+  date: 5.2,
+  daub: 1.9,
+  dawn: 4.4,
+  days: 5.5,
+  daze: 2.7,
+  dead: 5.7,
+  deaf: 4.2,
+  deal: 5.4,
+  dean: 4.6,
+  dear: 5.3,
+  debs: 2.4,
+  debt: 4.2,
+  deck: 4.4,
+  deed: 4,
+  deem: 2.8,
+  deep: 4.9,
+  deer: 3.9,
+  deft: 2.6,
+  defy: 3.5,
+  deli: 3.3,
+  dell: 3.4,
+  demo: 3.5,
+  dens: 2.5,
+  dent: 3.5,
+  deny: 4.3,
+  desk: 4.6,
+  dewy: 2.4,
+  dial: 3.9,
+  dice: 4,
+  dick: 4.7,
+  died: 5.2,
+  dies: 4.4,
+  diet: 4.2,
+  digs: 3.5,
+  dike: 2.6,
+  dill: 3.2,
+  dime: 4.1,
+  dims: 1.3,
+  dine: 3.6,
+  ding: 3.8,
+  dint: 1.9,
+  dips: 2.8,
+  dire: 3.3,
+  dirk: 3.4,
+  dirt: 4.4,
+  disc: 3.4,
+  dish: 4.1,
+  disk: 3.8,
+  diva: 3.2,
+  dive: 4.1,
+  dock: 4,
+  docs: 3,
+  dodo: 3,
+  doer: 2.6,
+  does: 5.8,
+  doff: 2.2,
+  dogs: 4.7,
+  dole: 3,
+  doll: 4.4,
+  dolt: 2.7,
+  dome: 3.3,
+  done: 5.7,
+  dons: 2.5,
+  doom: 3.7,
+  door: 5.5,
+  dope: 4.2,
+  dork: 3.6,
+  dorm: 3.9,
+  dory: 3.6,
+  dose: 3.7,
+  dote: 2.3,
+  doth: 3.4,
+  dots: 3.5,
+  dour: 2.2,
+  dove: 3.7,
+  down: 6.2,
+  doze: 2.6,
+  drab: 2.9,
+  drag: 4.4,
+  dram: 2.3,
+  draw: 4.6,
+  dray: 2,
+  drew: 4.4,
+  drip: 3.7,
+  drop: 5.1,
+  drug: 4.7,
+  drum: 3.9,
+  drys: 1.3,
+  dual: 3,
+  dubs: 1.9,
+  duck: 4.4,
+  duct: 3.5,
+  dude: 5,
+  duds: 3.1,
+  duel: 3.4,
+  dues: 3.3,
+  duet: 3.1,
+  duff: 3.1,
+  duke: 4.4,
+  dull: 4.1,
+  duly: 3.1,
+  dumb: 4.7,
+  dump: 4.5,
+  dune: 3,
+  dung: 3.2,
+  dunk: 3.4,
+  dupe: 2.8,
+  dusk: 3.1,
+  dust: 4.4,
+  duty: 4.7,
+  dyed: 3.2,
+  dyer: 2.7,
+  dyes: 2.8,
+  dyke: 3.4,
+  each: 5.4,
+  earl: 4.3,
+  earn: 4.2,
+  ears: 4.5,
+  ease: 4.3,
+  east: 4.7,
+  easy: 5.4,
+  eats: 4.1,
+  eave: 2,
+  ebbs: 2.1,
+  echo: 3.8,
+  ecru: 2.1,
+  eddy: 3.6,
+  edge: 4.4,
+  edgy: 3.4,
+  edit: 3.2,
+  eels: 3.1,
+  eggs: 4.6,
+  egos: 3,
+  elks: 2.5,
+  elms: 1.9,
+  else: 5.7,
+  emir: 2.8,
+  emit: 2.6,
+  emus: 1.9,
+  ends: 4.5,
+  envy: 4,
+  eons: 2.9,
+  epic: 3.4,
+  eras: 2.6,
+  ergo: 2.9,
+  errs: 1.8,
+  espy: 1.6,
+  etch: 2.3,
+  euro: 2.8,
+  even: 5.9,
+  ever: 5.9,
+  eves: 1.8,
+  evil: 4.9,
+  ewes: 1.6,
+  exam: 4.1,
+  exec: 3,
+  exes: 2.4,
+  exit: 4.2,
+  expo: 2.6,
+  eyed: 2.9,
+  eyes: 5.3,
+  face: 5.5,
+  fact: 5.2,
+  fade: 3.7,
+  fads: 1.9,
+  fags: 3.2,
+  fail: 4.4,
+  fain: 2.5,
+  fair: 5,
+  fake: 4.6,
+  fall: 5.1,
+  fame: 3.9,
+  fang: 3.3,
+  fans: 4.1,
+  fare: 3.8,
+  farm: 4.5,
+  fart: 3.8,
+  fast: 5.1,
+  fate: 4.4,
+  fats: 3,
+  faun: 2.7,
+  fawn: 2.8,
+  faze: 2.6,
+  fear: 4.8,
+  feat: 3.2,
+  feds: 3.8,
+  feed: 4.6,
+  feel: 5.8,
+  fees: 3.5,
+  feet: 5.1,
+  fell: 4.9,
+  felt: 5.1,
+  fend: 3,
+  fens: 2.2,
+  fern: 3.5,
+  fest: 3.1,
+  feta: 2.1,
+  feud: 3.1,
+  fiat: 2.2,
+  fibs: 2.1,
+  fief: 1.3,
+  fife: 3,
+  figs: 2.8,
+  file: 4.6,
+  fill: 4.6,
+  film: 4.8,
+  find: 5.9,
+  fine: 5.8,
+  fink: 3.6,
+  fins: 3.1,
+  fire: 5.3,
+  firm: 4.5,
+  firs: 2.2,
+  fish: 4.9,
+  fist: 3.9,
+  fits: 4.1,
+  five: 5.5,
+  fizz: 2.8,
+  flab: 2.2,
+  flag: 4.2,
+  flak: 3,
+  flan: 3.2,
+  flap: 3.4,
+  flat: 4.4,
+  flaw: 3.5,
+  flax: 2.7,
+  flay: 2.2,
+  flea: 3.5,
+  fled: 3.6,
+  flee: 3.7,
+  flew: 4.2,
+  flex: 3,
+  flip: 4.2,
+  flit: 2.7,
+  floe: 2.3,
+  flog: 2.5,
+  flop: 3.4,
+  flow: 4.1,
+  flub: 1.8,
+  flue: 2.6,
+  flux: 3,
+  foal: 2.4,
+  foam: 3.5,
+  fobs: 1.6,
+  foes: 2.8,
+  fogs: 1.3,
+  fogy: 1.6,
+  foil: 3.1,
+  fold: 3.9,
+  folk: 3.9,
+  fond: 4.1,
+  font: 3,
+  food: 5.2,
+  fool: 5,
+  foot: 4.8,
+  fops: 1.8,
+  ford: 4.1,
+  fore: 3.4,
+  fork: 3.9,
+  form: 4.6,
+  fort: 4.2,
+  foul: 4.2,
+  four: 5.4,
+  fowl: 2.8,
+  foxy: 3.5,
+  frat: 3.5,
+  fray: 3,
+  free: 5.2,
+  fret: 3.3,
+  frog: 4.1,
+  from: 6.3,
+  fuck: 5.6,
+  fuel: 4.2,
+  full: 5.2,
+  fume: 2.4,
+  fund: 4,
+  funk: 3.5,
+  furl: 2.1,
+  furs: 3.2,
+  fury: 3.6,
+  fuse: 3.7,
+  fuss: 3.9,
+  futz: 1.8,
+  fuzz: 3.3,
+  gads: 1.3,
+  gaff: 2.8,
+  gags: 3.1,
+  gain: 4.1,
+  gait: 2.5,
+  gala: 3.2,
+  gale: 3.7,
+  gall: 3.3,
+  gals: 3.5,
+  game: 5.4,
+  gamy: 2.3,
+  gang: 4.5,
+  gape: 1.8,
+  gaps: 2.8,
+  garb: 2.5,
+  gash: 2.8,
+  gasp: 3.2,
+  gate: 4.5,
+  gave: 5.4,
+  gawk: 2.5,
+  gays: 3.2,
+  gaze: 3.4,
+  gear: 4.2,
+  geek: 3.8,
+  gees: 2.7,
+  geld: 1.6,
+  gels: 1.3,
+  gems: 2.9,
+  gene: 4.2,
+  gent: 3.2,
+  germ: 3.1,
+  gets: 5.3,
+  gibe: 1.6,
+  gift: 4.8,
+  gigs: 3.2,
+  gild: 1.9,
+  gill: 3.2,
+  gilt: 2.2,
+  gins: 2.1,
+  gird: 2.1,
+  girl: 5.7,
+  girt: 1.6,
+  gist: 3,
+  give: 6.1,
+  glad: 5.2,
+  glee: 3.1,
+  glen: 3.9,
+  glib: 2.9,
+  glob: 2.1,
+  glop: 1.6,
+  glow: 3.8,
+  glue: 3.8,
+  glum: 3,
+  glut: 2.1,
+  gnat: 2.6,
+  gnaw: 2.6,
+  goad: 2.1,
+  goal: 4.2,
+  goat: 4,
+  gobs: 2.3,
+  gods: 4.3,
+  goes: 5.3,
+  gold: 4.9,
+  golf: 4.4,
+  gone: 5.5,
+  gong: 3.4,
+  good: 6.4,
+  goof: 3.3,
+  gook: 3.1,
+  goon: 3.4,
+  goop: 2.8,
+  gore: 3,
+  gory: 2.9,
+  gosh: 4.5,
+  gout: 3.1,
+  gown: 3.8,
+  grab: 4.9,
+  grad: 3.5,
+  gram: 3.4,
+  gray: 4.3,
+  grew: 4.5,
+  grid: 3.7,
+  grim: 3.7,
+  grin: 3.4,
+  grip: 4,
+  grit: 3,
+  grog: 2.8,
+  grow: 4.8,
+  grub: 3.4,
+  guff: 2.6,
+  gulf: 3.7,
+  gull: 3,
+  gulp: 3,
+  gums: 3.3,
+  gunk: 2.7,
+  guns: 4.8,
+  guru: 3.2,
+  gush: 2.8,
+  gust: 2.7,
+  guts: 4.4,
+  guys: 5.8,
+  gyms: 2.2,
+  gyps: 1.3,
+  gyro: 2.5,
+  hack: 3.9,
+  haft: 1.8,
+  hags: 2.4,
+  hail: 4.1,
+  hair: 5.2,
+  hake: 1.6,
+  hale: 3.2,
+  half: 5.3,
+  hall: 4.7,
+  halo: 3.2,
+  halt: 4.1,
+  hams: 2.8,
+  hand: 5.4,
+  hang: 5.2,
+  hank: 4.4,
+  hard: 5.5,
+  hare: 3.6,
+  hark: 3.2,
+  harm: 4.5,
+  harp: 3.4,
+  hart: 4.1,
+  hash: 3.5,
+  hasp: 1.8,
+  hate: 5.3,
+  hath: 3.7,
+  hats: 4,
+  haul: 3.8,
+  have: 6.8,
+  hawk: 4.1,
+  hays: 3,
+  haze: 3.2,
+  hazy: 2.9,
+  head: 5.6,
+  heal: 4.1,
+  heap: 3.7,
+  hear: 5.7,
+  heat: 4.6,
+  heck: 4.3,
+  heed: 3.3,
+  heel: 3.9,
+  heft: 2.3,
+  heir: 3.7,
+  held: 4.6,
+  hell: 5.7,
+  helm: 3.7,
+  help: 6,
+  hemp: 2.5,
+  hems: 2.1,
+  hens: 3.1,
+  herb: 3.7,
+  herd: 3.8,
+  here: 6.7,
+  hero: 4.7,
+  hers: 4.2,
+  hick: 3.3,
+  hide: 4.8,
+  high: 5.3,
+  hike: 3.8,
+  hill: 4.6,
+  hilt: 2.7,
+  hims: 1.8,
+  hind: 3.4,
+  hint: 4,
+  hips: 3.8,
+  hire: 4.4,
+  hiss: 3,
+  hits: 4.3,
+  hive: 3,
+  hoax: 3.4,
+  hobo: 3.3,
+  hobs: 1.6,
+  hock: 3.3,
+  hoes: 2.7,
+  hogs: 3.3,
+  hold: 5.6,
+  hole: 4.8,
+  holy: 4.8,
+  home: 5.9,
+  hone: 2.9,
+  honk: 3.4,
+  hood: 4.2,
+  hoof: 3.2,
+  hook: 4.6,
+  hoop: 3.4,
+  hoot: 3.4,
+  hope: 5.5,
+  hops: 3,
+  horn: 4.3,
+  hose: 3.9,
+  host: 4.2,
+  hour: 5.2,
+  hove: 2.2,
+  howl: 3.3,
+  hows: 2.3,
+  hubs: 2.2,
+  hues: 2.2,
+  huff: 3.1,
+  huge: 4.7,
+  hugs: 3.2,
+  hula: 3.3,
+  hulk: 3.6,
+  hull: 3.6,
+  hump: 3.6,
+  hums: 3.3,
+  hung: 4.4,
+  hunk: 3.7,
+  hunt: 4.4,
+  hurl: 3.1,
+  hurt: 5.4,
+  hush: 3.9,
+  husk: 2.6,
+  huts: 3,
+  hymn: 3.2,
+  hype: 3.2,
+  hypo: 2.5,
+  iamb: 1.6,
+  ibex: 1.8,
+  ibis: 2.1,
+  iced: 3.6,
+  ices: 2.2,
+  icky: 3.1,
+  icon: 3.2,
+  idea: 5.6,
+  ides: 1.9,
+  idle: 3.4,
+  idly: 2.8,
+  idol: 3.4,
+  iffy: 2.7,
+  ilks: 1.3,
+  ills: 2.7,
+  imam: 2.5,
+  imps: 2.1,
+  inch: 4.1,
+  info: 3.6,
+  inks: 2.2,
+  inky: 2.3,
+  inns: 2.5,
+  into: 5.9,
+  ions: 2.3,
+  iota: 2.7,
+  iris: 3.7,
+  irks: 1.8,
+  iron: 4.3,
+  isle: 3.1,
+  isms: 1.8,
+  itch: 3.6,
+  item: 4.1,
+  jabs: 2.7,
+  jack: 5.4,
+  jade: 3.7,
+  jags: 2.2,
+  jail: 4.8,
+  jamb: 1.6,
+  jams: 3.1,
+  jape: 1.9,
+  jars: 3.3,
+  jaws: 3.4,
+  jays: 2.5,
+  jazz: 4.1,
+  jeep: 4,
+  jeer: 1.8,
+  jeez: 4.3,
+  jell: 2.1,
+  jerk: 4.5,
+  jest: 3.1,
+  jets: 3.6,
+  jibe: 2.5,
+  jibs: 1.9,
+  jigs: 2.3,
+  jilt: 1.6,
+  jinx: 3.6,
+  jive: 3.2,
+  jobs: 4.4,
+  jock: 4,
+  jogs: 2.5,
+  john: 5.3,
+  join: 4.9,
+  joke: 4.9,
+  jolt: 3.1,
+  josh: 4.3,
+  jowl: 1.9,
+  joys: 3.1,
+  judo: 3,
+  jugs: 3.1,
+  jump: 4.8,
+  junk: 4.2,
+  jury: 4.6,
+  just: 6.7,
+  jute: 2.4,
+  juts: 1.3,
+  kale: 2.7,
+  keel: 3.1,
+  keen: 3.7,
+  keep: 5.8,
+  kegs: 3,
+  kelp: 3.1,
+  kens: 1.9,
+  kept: 5,
+  keys: 4.7,
+  khan: 3.6,
+  kick: 4.9,
+  kids: 5.5,
+  kill: 5.7,
+  kiln: 2.6,
+  kilo: 3.2,
+  kilt: 2.8,
+  kind: 5.8,
+  king: 5.1,
+  kink: 2.8,
+  kiss: 5.1,
+  kite: 3.4,
+  kith: 2,
+  kits: 3,
+  kiwi: 2.9,
+  knee: 4.2,
+  knew: 5.6,
+  knit: 3.3,
+  knob: 3.4,
+  knot: 3.6,
+  know: 6.8,
+  kook: 2.9,
+  labs: 3.6,
+  lace: 3.6,
+  lack: 4.2,
+  lacy: 2.8,
+  lads: 3.9,
+  lady: 5.3,
+  lags: 2.1,
+  laid: 4.5,
+  lain: 2.8,
+  lair: 3.4,
+  lake: 4.6,
+  lama: 3.5,
+  lamb: 4,
+  lame: 4,
+  lamp: 4.1,
+  lams: 1.3,
+  land: 4.9,
+  lane: 4.5,
+  lank: 1.3,
+  laps: 3.5,
+  lard: 3.2,
+  lark: 3.2,
+  lash: 3.2,
+  lass: 3.4,
+  last: 5.9,
+  late: 5.4,
+  lath: 1.8,
+  lats: 3,
+  laud: 2.1,
+  lava: 3.5,
+  lawn: 4.1,
+  laws: 4.2,
+  lays: 3.5,
+  laze: 1.6,
+  lazy: 4.1,
+  lead: 4.9,
+  leaf: 3.7,
+  leak: 4,
+  lean: 4,
+  leap: 3.8,
+  leas: 1.3,
+  leek: 2.5,
+  leer: 2.7,
+  lees: 2,
+  left: 5.7,
+  legs: 4.7,
+  leis: 2.2,
+  lend: 4.1,
+  lens: 3.7,
+  lent: 3.6,
+  less: 5,
+  lest: 3.3,
+  lets: 4.3,
+  levy: 3.3,
+  lewd: 3.1,
+  liar: 4.5,
+  lice: 3.3,
+  lick: 4,
+  lids: 2.8,
+  lied: 4.6,
+  lief: 2.2,
+  lien: 2.8,
+  lies: 4.6,
+  lieu: 3,
+  life: 5.9,
+  lift: 4.5,
+  like: 6.6,
+  lilt: 2.4,
+  lily: 4.4,
+  limb: 3.7,
+  lime: 3.5,
+  limo: 3.9,
+  limp: 3.6,
+  line: 5.3,
+  link: 4.1,
+  lint: 3.1,
+  lion: 4.2,
+  lips: 4.5,
+  lira: 2.8,
+  lire: 2.6,
+  lisp: 2.6,
+  list: 4.9,
+  lite: 2.8,
+  live: 5.5,
+  load: 4.5,
+  loaf: 3.7,
+  loam: 1.8,
+  loan: 4.3,
+  lobe: 3.3,
+  lobs: 1.6,
+  loci: 1.6,
+  lock: 4.8,
+  loco: 3.3,
+  lode: 2.9,
+  loft: 3.6,
+  loge: 1.3,
+  logo: 3.3,
+  logs: 3.6,
+  loin: 2.5,
+  loll: 2,
+  lone: 3.7,
+  long: 5.8,
+  look: 6.3,
+  loom: 2.6,
+  loon: 3.1,
+  loop: 3.8,
+  loot: 3.6,
+  lope: 2.1,
+  lops: 2.1,
+  lord: 5.1,
+  lore: 2.8,
+  lorn: 2.1,
+  lose: 5.2,
+  loss: 4.5,
+  lost: 5.4,
+  lots: 4.8,
+  loud: 4.6,
+  lout: 2.7,
+  love: 6,
+  lows: 2.8,
+  luau: 3.2,
+  lube: 2.8,
+  luck: 5.2,
+  lugs: 2.4,
+  lull: 3.1,
+  lump: 3.6,
+  lung: 3.9,
+  lure: 3.6,
+  lurk: 2.6,
+  lush: 3.1,
+  lust: 3.7,
+  lute: 2.6,
+  lynx: 1.3,
+  lyre: 1.9,
+  mace: 3.5,
+  made: 5.7,
+  maid: 4.4,
+  mail: 4.6,
+  maim: 2.6,
+  main: 4.6,
+  make: 6.1,
+  male: 4.5,
+  mall: 4.3,
+  malt: 3.2,
+  mama: 5,
+  mane: 2.8,
+  mans: 2.7,
+  many: 5.6,
+  maps: 3.7,
+  mare: 3.5,
+  mark: 4.9,
+  mars: 4,
+  mart: 3.3,
+  mash: 3.6,
+  mask: 4.3,
+  mass: 4.2,
+  mast: 3.2,
+  mate: 4.5,
+  math: 4.2,
+  mats: 3.1,
+  maul: 2.5,
+  maws: 1.8,
+  mayo: 3.5,
+  maze: 3.4,
+  mead: 3,
+  meal: 4.5,
+  mean: 6.1,
+  meat: 4.6,
+  meek: 3.2,
+  meet: 5.5,
+  megs: 1.9,
+  meld: 2.4,
+  melt: 3.9,
+  memo: 3.8,
+  mend: 3.4,
+  menu: 4,
+  meow: 3.5,
+  mere: 3.9,
+  mesa: 3.1,
+  mesh: 2.8,
+  mess: 4.9,
+  mete: 1.9,
+  mewl: 1.3,
+  mews: 2.1,
+  mica: 2.1,
+  mice: 3.8,
+  mien: 1.3,
+  miff: 1.3,
+  mike: 5,
+  mild: 3.7,
+  mile: 4.3,
+  milk: 4.6,
+  mill: 4,
+  mils: 2.4,
+  mime: 3.1,
+  mind: 5.7,
+  mine: 5.4,
+  mini: 3.6,
+  mink: 3.6,
+  mint: 3.7,
+  minx: 2.8,
+  mire: 2.6,
+  miss: 5.7,
+  mist: 3.6,
+  mite: 3.1,
+  mitt: 3.1,
+  moan: 3.3,
+  moat: 3.1,
+  mobs: 2.8,
+  mock: 3.7,
+  mode: 3.7,
+  mold: 3.6,
+  mole: 3.9,
+  moll: 2.6,
+  molt: 2.1,
+  moms: 3.7,
+  monk: 3.9,
+  mono: 2.9,
+  mood: 4.5,
+  moon: 4.7,
+  moor: 3.3,
+  moos: 2.6,
+  moot: 3.1,
+  mope: 2.8,
+  mops: 2.6,
+  more: 6.1,
+  morn: 2.9,
+  moss: 3.5,
+  most: 5.5,
+  mote: 2.4,
+  moth: 3.4,
+  move: 5.6,
+  mows: 2.3,
+  much: 6,
+  muck: 3.3,
+  muff: 3,
+  mugs: 3.4,
+  mule: 3.8,
+  mull: 2.7,
+  murk: 2,
+  muse: 3.3,
+  mush: 3.4,
+  musk: 2.7,
+  muss: 2.8,
+  must: 5.8,
+  mute: 3.4,
+  mutt: 3.6,
+  myth: 3.8,
+  nabs: 2.1,
+  nags: 2.6,
+  nail: 4.3,
+  name: 5.8,
+  nape: 2.4,
+  naps: 3,
+  narc: 3.2,
+  nark: 1.8,
+  nary: 2.4,
+  nave: 2.6,
+  navy: 4.4,
+  nays: 2.2,
+  near: 4.9,
+  neat: 4.1,
+  neck: 4.8,
+  need: 6.1,
+  neon: 3.5,
+  nerd: 3.5,
+  nest: 4,
+  nets: 3.3,
+  news: 5.2,
+  newt: 3.1,
+  next: 5.7,
+  nibs: 2.8,
+  nice: 5.8,
+  nick: 4.8,
+  nigh: 2.9,
+  nine: 4.8,
+  nips: 2.8,
+  nits: 1.8,
+  node: 2.7,
+  nods: 2.5,
+  noel: 4.3,
+  noes: 1.6,
+  none: 5,
+  nook: 3,
+  noon: 4.3,
+  nope: 4.5,
+  norm: 3.5,
+  nose: 4.8,
+  nosh: 2.1,
+  nosy: 3.5,
+  note: 4.7,
+  noun: 2.7,
+  nous: 2.7,
+  nova: 3.7,
+  nubs: 1.6,
+  nude: 3.8,
+  nuke: 3.4,
+  null: 2.7,
+  numb: 3.7,
+  nuns: 3.6,
+  nuts: 4.7,
+  oafs: 1.9,
+  oaks: 3.2,
+  oars: 3,
+  oath: 4,
+  oats: 3.3,
+  obey: 4,
+  obit: 2.1,
+  oboe: 2.5,
+  odds: 4.3,
+  odes: 1.3,
+  odor: 3.4,
+  offs: 2.2,
+  ogle: 2.6,
+  ogre: 3.1,
+  ohms: 1.6,
+  oils: 3.1,
+  oily: 3,
+  oink: 3,
+  okay: 6.3,
+  okra: 2.7,
+  omen: 3.2,
+  omit: 2.4,
+  once: 5.5,
+  ones: 5,
+  only: 6,
+  onto: 4.6,
+  onus: 2,
+  onyx: 2.5,
+  oops: 4,
+  ooze: 2.7,
+  opal: 3,
+  open: 5.5,
+  opts: 1.8,
+  opus: 3,
+  oral: 3.6,
+  orbs: 2.6,
+  orcs: 3,
+  ores: 2.6,
+  orgy: 3.2,
+  ouch: 4,
+  ours: 4.5,
+  oust: 1.8,
+  outs: 3.3,
+  oval: 3.1,
+  oven: 3.9,
+  over: 6.1,
+  ovum: 2.1,
+  owed: 3.9,
+  owes: 4,
+  owls: 3.3,
+  owns: 4.3,
+  oxen: 2.6,
+  pace: 4,
+  pack: 4.6,
+  pact: 3.6,
+  pads: 3.5,
+  page: 4.6,
+  paid: 4.9,
+  pail: 3,
+  pain: 5,
+  pair: 4.6,
+  pale: 3.9,
+  pall: 2.7,
+  palm: 4.1,
+  pals: 3.8,
+  pane: 2.7,
+  pang: 3.2,
+  pans: 3.3,
+  pant: 3,
+  papa: 4.6,
+  paps: 2.3,
+  pare: 2.1,
+  park: 4.9,
+  pars: 1.6,
+  part: 5.4,
+  pass: 5,
+  past: 5.1,
+  pate: 2.8,
+  path: 4.4,
+  pats: 2.6,
+  pave: 2.6,
+  pawn: 3.6,
+  paws: 3.4,
+  pays: 4.1,
+  peak: 3.8,
+  peal: 2.1,
+  pear: 3.1,
+  peas: 3.7,
+  peat: 2.4,
+  peck: 3.5,
+  pecs: 2.8,
+  peed: 3.4,
+  peek: 3.7,
+  peel: 3.7,
+  peep: 3.6,
+  peer: 3.2,
+  pees: 2.7,
+  pegs: 2.4,
+  pelt: 3,
+  pens: 3.4,
+  pent: 2.3,
+  peon: 2.3,
+  perk: 3.1,
+  perm: 3,
+  pert: 2.7,
+  peso: 2.4,
+  pest: 3.5,
+  pets: 3.8,
+  pews: 2.1,
+  pica: 1.9,
+  pick: 5.3,
+  pied: 2.6,
+  pier: 3.8,
+  pies: 3.5,
+  pigs: 4.1,
+  pike: 3.7,
+  pile: 4.1,
+  pill: 4.1,
+  pimp: 3.9,
+  pine: 3.8,
+  ping: 3.5,
+  pink: 4.5,
+  pins: 3.7,
+  pint: 3.5,
+  pipe: 4.3,
+  pips: 3,
+  piss: 4.4,
+  pita: 3,
+  pith: 2.3,
+  pits: 3.5,
+  pity: 4.4,
+  plan: 5.2,
+  play: 5.5,
+  plea: 3.8,
+  plod: 2,
+  plop: 2.9,
+  plot: 4.1,
+  plow: 3.3,
+  ploy: 3.2,
+  plug: 4,
+  plum: 3.5,
+  plus: 4.7,
+  pock: 1.9,
+  pods: 3.3,
+  poem: 4.1,
+  poet: 4,
+  poke: 3.8,
+  poky: 2,
+  pole: 4.1,
+  poll: 3.4,
+  polo: 3.5,
+  pols: 1.3,
+  pomp: 2.6,
+  pond: 3.8,
+  pone: 2,
+  pony: 3.9,
+  pooh: 3.7,
+  pool: 4.7,
+  poop: 3.7,
+  poor: 5.1,
+  pope: 4,
+  pops: 4.1,
+  pore: 2.7,
+  pork: 4,
+  porn: 4.1,
+  port: 4.2,
+  pose: 3.8,
+  posh: 3.1,
+  post: 4.5,
+  posy: 2.2,
+  pots: 3.6,
+  pour: 4.2,
+  pout: 3,
+  pram: 2.3,
+  pray: 4.6,
+  prep: 3.9,
+  prey: 3.7,
+  prig: 2.6,
+  prim: 2.6,
+  prod: 2.8,
+  prof: 3.5,
+  prom: 4.2,
+  prop: 3.6,
+  pros: 3.5,
+  prow: 2.1,
+  psst: 3.7,
+  pubs: 2.5,
+  puck: 3.5,
+  puff: 3.6,
+  pugs: 1.8,
+  puke: 3.8,
+  pull: 5.2,
+  pulp: 3.3,
+  puma: 2.1,
+  pump: 4.1,
+  punk: 4.3,
+  puns: 2.3,
+  punt: 2.9,
+  puny: 3.2,
+  pupa: 2.4,
+  pups: 3,
+  pure: 4.4,
+  purl: 2.1,
+  purr: 2.9,
+  push: 4.8,
+  puss: 3.5,
+  puts: 4.4,
+  putt: 3.1,
+  pyre: 2.5,
+  quad: 3.2,
+  quay: 1.9,
+  quid: 3.5,
+  quip: 2.1,
+  quit: 5,
+  quiz: 3.7,
+  race: 4.8,
+  rack: 3.9,
+  racy: 3,
+  raft: 3.7,
+  raga: 1.9,
+  rage: 4.1,
+  rags: 3.5,
+  raid: 3.9,
+  rail: 3.7,
+  rain: 4.7,
+  rake: 3.5,
+  ramp: 3.5,
+  rams: 2.9,
+  rang: 3.7,
+  rank: 3.9,
+  rant: 2.8,
+  rape: 4.2,
+  raps: 2.7,
+  rapt: 2.4,
+  rare: 4.3,
+  rash: 3.9,
+  rasp: 2,
+  rate: 4.4,
+  rats: 4.2,
+  rave: 3.4,
+  rays: 3.6,
+  raze: 2.2,
+  razz: 2.2,
+  read: 5.4,
+  real: 5.6,
+  ream: 2.3,
+  reap: 3.4,
+  rear: 4.1,
+  redo: 3.2,
+  reds: 3.4,
+  reed: 4,
+  reef: 3.6,
+  reek: 3,
+  reel: 3.5,
+  refs: 1.6,
+  rein: 2.9,
+  rely: 3.9,
+  rend: 2.5,
+  rent: 4.5,
+  reps: 3,
+  rest: 5.3,
+  revs: 2.8,
+  rhea: 1.6,
+  ribs: 3.9,
+  rice: 4.2,
+  rich: 4.9,
+  rick: 4.4,
+  ride: 5.1,
+  rids: 1.8,
+  rife: 2.7,
+  riff: 3,
+  rift: 3,
+  rigs: 2.7,
+  rile: 2.5,
+  rill: 2.1,
+  rime: 2.1,
+  rims: 2.9,
+  rind: 2.4,
+  ring: 5,
+  rink: 3.3,
+  riot: 3.8,
+  ripe: 3.6,
+  rips: 3.1,
+  rise: 4.4,
+  risk: 4.7,
+  rite: 3.2,
+  road: 5,
+  roam: 3.5,
+  roan: 2.4,
+  roar: 3.6,
+  robe: 3.9,
+  robs: 3,
+  rock: 4.9,
+  rode: 4,
+  rods: 3.3,
+  roil: 1.3,
+  role: 4.3,
+  roll: 4.8,
+  romp: 2.7,
+  rood: 1.8,
+  roof: 4.6,
+  rook: 3.1,
+  room: 5.6,
+  root: 4,
+  rope: 4.4,
+  rose: 4.7,
+  rosy: 3.5,
+  rote: 2.1,
+  rots: 2.9,
+  rout: 2.5,
+  rove: 3.1,
+  rows: 3.3,
+  rube: 3.6,
+  rubs: 3.1,
+  ruby: 4.1,
+  rude: 4.3,
+  rues: 1.3,
+  ruff: 2.7,
+  rugs: 3.1,
+  ruin: 4.5,
+  rule: 4.7,
+  rump: 3.1,
+  rums: 1.3,
+  rune: 3,
+  rung: 3.1,
+  runs: 4.5,
+  runt: 3.4,
+  ruse: 3.2,
+  rush: 4.5,
+  rusk: 2.7,
+  rust: 3.4,
+  ruts: 1.9,
+  sack: 4.1,
+  sacs: 2.4,
+  safe: 5.2,
+  saga: 2.9,
+  sage: 3.2,
+  sags: 2,
+  said: 6,
+  sail: 4.1,
+  sake: 4.8,
+  sale: 4.4,
+  salt: 4.3,
+  same: 5.6,
+  sand: 4.3,
+  sane: 3.7,
+  sang: 3.9,
+  sank: 3.3,
+  sans: 2.7,
+  saps: 2.8,
+  sari: 2.6,
+  sash: 3.1,
+  sass: 3,
+  sate: 1.9,
+  save: 5.2,
+  saws: 2.7,
+  says: 5.5,
+  scab: 2.8,
+  scam: 3.8,
+  scan: 4,
+  scar: 3.9,
+  scat: 3.1,
+  scow: 2.5,
+  scud: 2.8,
+  scum: 4,
+  seal: 4.2,
+  seam: 2.8,
+  sear: 2.3,
+  seas: 3.6,
+  seat: 4.9,
+  secs: 2.1,
+  sect: 2.9,
+  seed: 3.9,
+  seek: 4.3,
+  seem: 5.1,
+  seen: 5.6,
+  seep: 2.2,
+  seer: 3.2,
+  sees: 4.6,
+  self: 4.2,
+  sell: 5,
+  semi: 3.4,
+  send: 5.3,
+  sent: 5.1,
+  serf: 2.2,
+  sets: 4.2,
+  sewn: 3.1,
+  sews: 2.5,
+  sexy: 4.5,
+  shad: 2.7,
+  shag: 3.3,
+  shah: 2.9,
+  sham: 3.2,
+  shed: 4,
+  shes: 2.7,
+  shim: 2.2,
+  shin: 3.5,
+  ship: 5,
+  shit: 5.7,
+  shod: 2.1,
+  shoe: 4.5,
+  shoo: 3.7,
+  shop: 4.7,
+  shot: 5.4,
+  show: 5.7,
+  shun: 2.7,
+  shut: 5.4,
+  sick: 5.2,
+  sics: 1.3,
+  side: 5.3,
+  sift: 2.9,
+  sigh: 3.5,
+  sign: 5.1,
+  silk: 4,
+  sill: 2.7,
+  silo: 3,
+  silt: 2.5,
+  sims: 3.4,
+  sine: 2.2,
+  sing: 5,
+  sink: 4.2,
+  sins: 4,
+  sips: 2.6,
+  sire: 4.1,
+  sirs: 3.6,
+  site: 4.3,
+  sits: 4,
+  size: 4.7,
+  skew: 2.1,
+  skid: 3.3,
+  skim: 2.9,
+  skin: 4.6,
+  skip: 4.3,
+  skis: 3.1,
+  skit: 2.9,
+  slab: 3.3,
+  slag: 2.9,
+  slam: 3.8,
+  slap: 4.1,
+  slat: 1.9,
+  slaw: 2.5,
+  slay: 3.3,
+  sled: 3.5,
+  slew: 3.1,
+  slid: 3.3,
+  slim: 4.1,
+  slip: 4.4,
+  slit: 3.6,
+  slob: 3.6,
+  sloe: 1.8,
+  slog: 2.2,
+  slop: 3.3,
+  slot: 3.7,
+  slow: 4.9,
+  slug: 3.7,
+  slum: 3.1,
+  slur: 2.7,
+  slut: 4.1,
+  smog: 3,
+  smug: 3.4,
+  smut: 3.1,
+  snag: 3.3,
+  snap: 4.2,
+  snip: 3.3,
+  snit: 2.4,
+  snob: 3.3,
+  snot: 3.3,
+  snow: 4.5,
+  snub: 2.6,
+  snug: 3.2,
+  soak: 3.5,
+  soap: 4.2,
+  soar: 3.2,
+  sobs: 3.4,
+  sock: 4,
+  soda: 4.3,
+  sods: 2.1,
+  sofa: 3.8,
+  soft: 4.5,
+  soil: 3.9,
+  sold: 4.7,
+  sole: 3.7,
+  solo: 3.9,
+  some: 6.2,
+  song: 5,
+  sons: 4.3,
+  soon: 5.4,
+  soot: 3,
+  sops: 1.3,
+  sore: 4.2,
+  sort: 5.2,
+  sots: 2.2,
+  soul: 4.9,
+  soup: 4.4,
+  sour: 3.8,
+  sown: 2.5,
+  sows: 2.2,
+  spam: 3.1,
+  span: 3.3,
+  spar: 2.8,
+  spas: 2.3,
+  spat: 3.2,
+  spay: 2.1,
+  spec: 2.9,
+  sped: 2.8,
+  spew: 2.7,
+  spin: 4.2,
+  spit: 4.3,
+  spot: 4.8,
+  spry: 2.8,
+  spud: 3,
+  spun: 3.2,
+  spur: 3.2,
+  stab: 3.9,
+  stag: 3.2,
+  star: 4.9,
+  stay: 5.7,
+  stem: 3.3,
+  step: 5.1,
+  stew: 3.8,
+  stir: 3.8,
+  stop: 5.8,
+  stow: 3.1,
+  stub: 3,
+  stud: 3.8,
+  stun: 3.3,
+  subs: 3.5,
+  such: 5.5,
+  suck: 4.5,
+  suds: 2.7,
+  sued: 3.7,
+  sues: 2.8,
+  suet: 2.3,
+  suit: 4.8,
+  sulk: 2.9,
+  sumo: 2.9,
+  sump: 2.4,
+  sums: 3.2,
+  sung: 3.5,
+  sunk: 3.7,
+  suns: 3,
+  sups: 1.3,
+  sure: 6,
+  surf: 3.8,
+  swab: 3.4,
+  swag: 2.7,
+  swam: 3.4,
+  swan: 3.8,
+  swap: 3.6,
+  swat: 3.6,
+  sway: 3.4,
+  swig: 3,
+  swim: 4.5,
+  swum: 2.6,
+  sync: 3.5,
+  tabs: 3.3,
+  tack: 3.3,
+  taco: 3.5,
+  tact: 3,
+  tags: 3.6,
+  tail: 4.4,
+  take: 6.3,
+  talc: 2.4,
+  tale: 4.1,
+  talk: 5.9,
+  tall: 4.5,
+  tame: 3.4,
+  tamp: 1.8,
+  tams: 1.8,
+  tang: 3.3,
+  tank: 4.4,
+  tans: 2.2,
+  tape: 4.8,
+  taps: 3.4,
+  tare: 1.9,
+  taro: 2.6,
+  tarp: 3,
+  tars: 1.9,
+  tart: 3.4,
+  task: 4.1,
+  tats: 2.4,
+  taut: 2.8,
+  taxi: 4.4,
+  teak: 2.6,
+  teal: 2.7,
+  team: 5.2,
+  tear: 4.4,
+  teas: 2.7,
+  teat: 2.5,
+  teed: 2.2,
+  teem: 1.6,
+  teen: 3.6,
+  tees: 2.2,
+  tell: 6.2,
+  temp: 3.5,
+  tend: 4.1,
+  tens: 3.3,
+  tent: 4.2,
+  term: 4.2,
+  tern: 1.3,
+  test: 4.9,
+  text: 3.7,
+  than: 5.9,
+  that: 7.1,
+  thaw: 3.2,
+  thee: 4.4,
+  them: 6.3,
+  then: 6.2,
+  they: 6.6,
+  thin: 4.3,
+  this: 6.9,
+  thou: 4.4,
+  thru: 2.8,
+  thud: 3.3,
+  thug: 3.5,
+  thus: 4.1,
+  tick: 3.9,
+  tics: 2.5,
+  tide: 3.9,
+  tidy: 3.6,
+  tied: 4.4,
+  tier: 3,
+  ties: 4,
+  tiff: 2.9,
+  tile: 3.3,
+  till: 5.2,
+  tilt: 3.3,
+  time: 6.3,
+  tine: 2.2,
+  ting: 3.1,
+  tins: 2.7,
+  tint: 2.5,
+  tiny: 4.5,
+  tips: 4,
+  tire: 4.1,
+  tits: 4.1,
+  toad: 3.8,
+  toed: 2,
+  toes: 4.1,
+  tofu: 3.4,
+  toga: 3,
+  togs: 2.4,
+  toil: 3,
+  toke: 2.9,
+  told: 5.8,
+  toll: 3.5,
+  tomb: 3.8,
+  tome: 2.9,
+  toms: 2.7,
+  tone: 4.2,
+  tong: 3.4,
+  tons: 4,
+  tony: 4.8,
+  took: 5.5,
+  tool: 4,
+  toot: 3.2,
+  tops: 3.9,
+  tore: 3.9,
+  torn: 4,
+  tors: 1.3,
+  tort: 2.2,
+  toss: 4.1,
+  tote: 3,
+  tots: 3,
+  tour: 4.5,
+  tout: 3,
+  town: 5.4,
+  toys: 4.1,
+  tram: 3.1,
+  trap: 4.4,
+  tray: 3.9,
+  tree: 4.8,
+  trek: 3.7,
+  trig: 2.9,
+  trim: 3.6,
+  trio: 3.1,
+  trip: 4.9,
+  trod: 2.7,
+  trot: 3.3,
+  troy: 4.1,
+  true: 5.4,
+  tuba: 3.1,
+  tube: 4.2,
+  tubs: 3,
+  tuck: 3.9,
+  tuft: 1.6,
+  tugs: 2.4,
+  tuna: 3.9,
+  tune: 4.2,
+  turd: 3.4,
+  turf: 3.6,
+  turn: 5.5,
+  tush: 3.1,
+  tusk: 2.4,
+  tutu: 2.8,
+  twee: 2,
+  twig: 3.1,
+  twin: 4,
+  twit: 3.1,
+  twos: 3.2,
+  tyke: 2.7,
+  type: 4.8,
+  typo: 2.8,
+  ugly: 4.6,
+  ulna: 2.5,
+  umps: 1.3,
+  undo: 3.6,
+  unit: 4.6,
+  unto: 3.9,
+  upon: 4.8,
+  urea: 1.6,
+  urge: 3.8,
+  uric: 2,
+  urns: 2.1,
+  used: 5.5,
+  user: 3.2,
+  uses: 4.2,
+  vain: 3.8,
+  vale: 3.2,
+  vamp: 3,
+  vane: 2.5,
+  vans: 3,
+  vary: 3,
+  vase: 3.6,
+  vast: 3.8,
+  vats: 2.1,
+  veal: 3.6,
+  veer: 3,
+  veil: 3.5,
+  vein: 3.6,
+  vent: 3.6,
+  verb: 3,
+  very: 6.1,
+  vest: 3.7,
+  veto: 3,
+  vets: 2.8,
+  vial: 3.1,
+  vibe: 3.7,
+  vice: 4.3,
+  vied: 1.9,
+  vies: 1.3,
+  view: 4.6,
+  vile: 3.6,
+  vine: 3.3,
+  viol: 1.6,
+  visa: 3.6,
+  vise: 2.6,
+  viva: 3.5,
+  void: 3.6,
+  vole: 3.2,
+  volt: 2.2,
+  vote: 4.5,
+  vows: 3.8,
+  wack: 3.2,
+  wade: 4.2,
+  wadi: 1.8,
+  wads: 2.2,
+  waft: 2.2,
+  wage: 3.5,
+  wags: 2.4,
+  waif: 2.5,
+  wail: 2.9,
+  wait: 5.9,
+  wake: 5,
+  walk: 5.3,
+  wall: 4.8,
+  wand: 3.5,
+  wane: 2.4,
+  want: 6.4,
+  ward: 4.2,
+  ware: 3.3,
+  warm: 4.7,
+  warn: 4.4,
+  warp: 3.7,
+  wars: 4,
+  wart: 3.1,
+  wary: 2.9,
+  wash: 4.6,
+  wasp: 3.2,
+  watt: 3.3,
+  wave: 4.3,
+  wavy: 2.7,
+  waxy: 2.6,
+  ways: 4.7,
+  weak: 4.5,
+  weal: 2,
+  wean: 2.4,
+  wear: 5,
+  webs: 2.7,
+  weds: 2.1,
+  weed: 4.1,
+  week: 5.4,
+  weep: 3.7,
+  wees: 1.6,
+  weft: 1.6,
+  weir: 3,
+  weld: 2.8,
+  well: 6.5,
+  welt: 2.2,
+  wend: 1.9,
+  went: 5.6,
+  wept: 3.1,
+  were: 6.2,
+  west: 4.8,
+  wets: 2.5,
+  wham: 3.3,
+  what: 7,
+  when: 6.3,
+  whet: 2.2,
+  whew: 3.8,
+  whey: 1.9,
+  whim: 3.4,
+  whip: 4.1,
+  whir: 2,
+  whit: 3.3,
+  whiz: 3.6,
+  whoa: 5.2,
+  whom: 4.5,
+  whys: 2.5,
+  wick: 3.4,
+  wide: 4.4,
+  wife: 5.5,
+  wigs: 3.1,
+  wiki: 3.1,
+  wild: 4.8,
+  wile: 2.6,
+  will: 6.3,
+  wilt: 3.3,
+  wily: 2.8,
+  wimp: 3.5,
+  wind: 4.8,
+  wine: 4.8,
+  wing: 4.3,
+  wink: 3.5,
+  wino: 2.9,
+  wins: 4.3,
+  wipe: 4.2,
+  wire: 4.4,
+  wiry: 2.5,
+  wise: 4.5,
+  wish: 5.4,
+  wisp: 2.6,
+  wist: 1.3,
+  with: 6.7,
+  wits: 3.5,
+  wive: 2.1,
+  woes: 2.7,
+  woke: 4.4,
+  woks: 1.6,
+  wolf: 4.3,
+  womb: 3.5,
+  wont: 3.2,
+  wood: 4.4,
+  woof: 3.4,
+  wool: 3.5,
+  woos: 2,
+  word: 5.4,
+  wore: 4.3,
+  work: 5.9,
+  worm: 4,
+  worn: 4,
+  wove: 2.4,
+  wows: 1.6,
+  wrap: 4.3,
+  wren: 2.6,
+  writ: 3.2,
+  wuss: 3.3,
+  yaks: 2.1,
+  yams: 2.9,
+  yank: 3.7,
+  yaps: 2.2,
+  yard: 4.4,
+  yarn: 3.2,
+  yawl: 2.4,
+  yawn: 3,
+  yaws: 1.3,
+  yeah: 6.5,
+  year: 5.4,
+  yeas: 2.2,
+  yell: 4.3,
+  yelp: 2.1,
+  yens: 1.8,
+  yest: 1.6,
+  yeti: 2.4,
+  yips: 2.2,
+  yoga: 3.6,
+  yogi: 2.9,
+  yoke: 2.6,
+  yolk: 2.6,
+  yore: 2.4,
+  your: 6.8,
+  yous: 3,
+  yowl: 1.3,
+  yuck: 3.6,
+  yuks: 1.9,
+  yule: 2.6,
+  zany: 2.3,
+  zaps: 2.2,
+  zeal: 2.8,
+  zero: 4.3,
+  zest: 2.8,
+  zeta: 2.6,
+  zinc: 2.9,
+  zing: 3.1,
+  zips: 2.5,
+  zits: 2.7,
+  zone: 4.3,
+  zoom: 3.6,
+  zoos: 2.9
+};
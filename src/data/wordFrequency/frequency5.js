@@ -0,0 +1,5793 @@
+// src/data/wordFrequency/frequency5.js
+//
+// 5-LETTER WORD FREQUENCY (generated by scripts/buildWordFrequency.js - do not edit by hand)
+//
+// Zipf frequency (log10 of occurrences per billion words) from SUBTLEX-US film
+// subtitles. ~1 = rare, 3 = uncommon, 4-5 = everyday words. Words that never
+// appear in the corpus are left out (treated as 0).
+//
+// Source: subtlex-word-frequencies npm package (ISC, Copyright (c) 2015 Zeke Sikelianos)
+
+/**
+ * Commonness score per word
+ * Total: 5777 of 11747 words found in the corpus
+ */
+export const WORD_FREQUENCY = {
+  aargh: 2.8,
+  abaca: 1.3,
+  aback: 2.5,
+  abaft: 1.6,
+  abase: 1.8,
+  abate: 2,
+  abbas: 2,
+  abbey: 3.5,
+  abbot: 2.9,
+  abeam: 2.1,
+  abele: 1.3,
+  abhor: 2.4,
+  abide: 3.4,
+  abler: 1.3,
+  abode: 2.8,
+  abort: 3.7,
+  about: 6.6,
+  above: 4.7,
+  absit: 1.3,
+  abuse: 4,
+  abuts: 1.6,
+  abuzz: 1.6,
+  abyss: 3.2,
+  achar: 1.3,
+  ached: 2.5,
+  aches: 3.2,
+  achoo: 2,
+  acids: 2.9,
+  acing: 1.9,
+  ackee: 1.3,
+  acker: 2.2,
+  acnes: 1.3,
+  acorn: 2.9,
+  acres: 3.7,
+  acrid: 1.6,
+  acted: 4,
+  actin: 3,
+  acton: 2.4,
+  actor: 4.4,
+  acute: 3.5,
+  adage: 2.8,
+  adapt: 3.4,
+  added: 4,
+  adder: 3.2,
+  addle: 2.2,
+  adept: 2.8,
+  adieu: 3.3,
+  adios: 3.5,
+  admin: 2.6,
+  admit: 4.8,
+  adobe: 2.7,
+  adopt: 3.7,
+  adore: 3.9,
+  adorn: 2.2,
+  adult: 4.2,
+  adust: 1.3,
+  aegis: 2,
+  aeons: 1.3,
+  aerie: 1.3,
+  aesir: 1.6,
+  affix: 2.1,
+  afire: 2.7,
+  afoot: 3,
+  afore: 2.6,
+  afoul: 2.3,
+  afros: 1.8,
+  after: 5.8,
+  again: 5.9,
+  agate: 1.6,
+  agave: 1.6,
+  agent: 5,
+  aggie: 3.3,
+  aggro: 1.3,
+  agile: 2.6,
+  aging: 3.4,
+  agist: 1.3,
+  aglet: 1.3,
+  aglow: 2.7,
+  agony: 3.6,
+  agora: 1.3,
+  agree: 4.8,
+  ahead: 5.3,
+  ahold: 3.8,
+  aided: 2.8,
+  aider: 1.3,
+  aides: 2.8,
+  ailed: 1.6,
+  aimed: 3.3,
+  aimer: 1.8,
+  aioli: 1.3,
+  aired: 2.9,
+  aisle: 3.9,
+  akela: 2.3,
+  aking: 1.6,
+  alack: 2.1,
+  alamo: 3.2,
+  alarm: 4.5,
+  album: 4,
+  alder: 2,
+  alecs: 1.3,
+  aleph: 2.1,
+  alert: 4.3,
+  algae: 2.6,
+  algin: 1.3,
+  alias: 3.6,
+  alibi: 3.9,
+  alien: 4.2,
+  align: 2.8,
+  alike: 4.1,
+  aline: 2.7,
+  alive: 5.2,
+  alkyd: 1.3,
+  allay: 2.5,
+  alley: 4.2,
+  allot: 2.2,
+  allow: 4.6,
+  alloy: 3,
+  aloes: 1.3,
+  aloft: 2.9,
+  aloha: 3.5,
+  alone: 5.5,
+  along: 5.3,
+  aloof: 2.8,
+  aloud: 3.3,
+  alpha: 3.9,
+  altar: 3.7,
+  alter: 3.7,
+  altos: 2.1,
+  alums: 1.9,
+  alvar: 2,
+  alway: 2.1,
+  amass: 1.8,
+  amaze: 3.2,
+  amber: 4,
+  amble: 2,
+  ambos: 1.9,
+  ameer: 2.2,
+  amend: 2.9,
+  amice: 1.3,
+  amiga: 2.1,
+  amigo: 3.7,
+  amine: 1.3,
+  amino: 2.8,
+  amiss: 2.9,
+  amity: 2.7,
+  ammos: 1.3,
+  among: 4.5,
+  amour: 3.3,
+  ample: 3.3,
+  amply: 2.5,
+  amuck: 2.7,
+  amuse: 3.4,
+  amyls: 1.6,
+  angel: 4.9,
+  anger: 4.3,
+  angle: 4.2,
+  anglo: 2.1,
+  angry: 4.8,
+  angst: 3,
+  anima: 2.3,
+  anime: 2.1,
+  anion: 1.3,
+  anise: 1.8,
+  ankhs: 1.3,
+  ankle: 3.9,
+  ankus: 1.3,
+  annal: 1.3,
+  annas: 1.8,
+  annex: 2.9,
+  annoy: 3.4,
+  annul: 2.7,
+  anode: 2.2,
+  anted: 1.3,
+  antes: 1.6,
+  antic: 1.9,
+  antsy: 2.8,
+  anvil: 2.8,
+  aorta: 3.2,
+  apace: 1.8,
+  apaid: 1.3,
+  apart: 4.7,
+  apert: 1.3,
+  aphid: 1.9,
+  aphis: 1.8,
+  aping: 1.3,
+  apish: 1.3,
+  apnea: 2.2,
+  aport: 2,
+  appal: 1.6,
+  appel: 1.3,
+  apple: 4.4,
+  apply: 4.1,
+  apres: 1.8,
+  apron: 3.4,
+  aptly: 2.6,
+  arbor: 2.9,
+  arced: 1.8,
+  ardor: 2.1,
+  areal: 1.3,
+  areas: 4,
+  arena: 3.6,
+  argon: 2.2,
+  argot: 1.3,
+  argue: 4.3,
+  argus: 2.6,
+  arias: 2.2,
+  ariel: 3.8,
+  ariki: 1.6,
+  arise: 3.5,
+  arles: 2.1,
+  armed: 4.4,
+  armor: 3.9,
+  aroma: 3.1,
+  arose: 2.9,
+  arras: 2.2,
+  array: 3.3,
+  arrow: 3.9,
+  arroz: 1.8,
+  arsed: 1.3,
+  arses: 2.5,
+  arson: 3.5,
+  artic: 1.8,
+  artsy: 2.5,
+  asana: 1.6,
+  ascot: 2.7,
+  ashed: 1.3,
+  ashen: 2.2,
+  ashes: 4,
+  ashet: 1.8,
+  aside: 4.4,
+  asked: 5.3,
+  asker: 1.8,
+  askew: 2.4,
+  aspen: 3.3,
+  aspic: 2.5,
+  assai: 1.3,
+  assay: 2.2,
+  asses: 4.1,
+  asset: 3.6,
+  aster: 2.3,
+  astir: 1.3,
+  atlas: 3,
+  atman: 1.3,
+  atmos: 1.3,
+  atoll: 2.7,
+  atoms: 3.2,
+  atone: 2.9,
+  atria: 1.9,
+  attar: 1.3,
+  attic: 3.9,
+  audio: 3.7,
+  audit: 3,
+  auger: 2.3,
+  aught: 2.5,
+  augur: 1.3,
+  aunts: 3.2,
+  aunty: 3,
+  aural: 1.9,
+  auras: 2.3,
+  auric: 1.8,
+  autos: 1.9,
+  avail: 2.9,
+  avant: 1.9,
+  avast: 2.6,
+  avert: 2.8,
+  avian: 1.9,
+  avoid: 4.4,
+  await: 3.6,
+  awake: 4.4,
+  award: 4.1,
+  aware: 4.6,
+  awash: 2.5,
+  aways: 1.6,
+  awful: 4.8,
+  awing: 1.3,
+  awoke: 3.1,
+  awork: 1.3,
+  axial: 2.1,
+  axing: 1.8,
+  axiom: 2.1,
+  axles: 1.8,
+  axman: 1.3,
+  azure: 2.5,
+  babel: 2.4,
+  babes: 3.5,
+  baccy: 1.3,
+  backs: 3.9,
+  bacon: 4.1,
+  baddy: 2,
+  badge: 4.2,
+  badly: 4.4,
+  bagel: 3.5,
+  baggy: 3,
+  bails: 2.3,
+  bairn: 2.4,
+  baits: 2.2,
+  baked: 3.8,
+  baker: 4.1,
+  bakes: 2.7,
+  balas: 1.3,
+  baldy: 3,
+  baled: 1.8,
+  baler: 1.3,
+  bales: 2.2,
+  balks: 1.3,
+  balls: 4.6,
+  bally: 2.5,
+  balms: 1.3,
+  balmy: 2.8,
+  balsa: 2.1,
+  banal: 2.4,
+  banco: 2.4,
+  banda: 2.1,
+  bands: 3.7,
+  bandy: 2.5,
+  banes: 2.7,
+  bangs: 3.3,
+  banjo: 3.2,
+  banks: 4.2,
+  banns: 2.1,
+  barbs: 2.4,
+  bardo: 2.3,
+  bards: 1.3,
+  bared: 2.5,
+  barer: 1.3,
+  bares: 1.8,
+  barfs: 1.3,
+  barge: 3.6,
+  barks: 3.5,
+  barmy: 2.2,
+  barns: 2.6,
+  barny: 2.1,
+  baron: 4.1,
+  barre: 1.3,
+  barry: 4.3,
+  basal: 2.5,
+  based: 4.4,
+  baser: 2.1,
+  bases: 3.6,
+  basic: 4.2,
+  basil: 3.1,
+  basin: 3.3,
+  basis: 4.1,
+  basso: 2.1,
+  basta: 2.5,
+  baste: 2.5,
+  basti: 1.3,
+  batch: 3.6,
+  bated: 1.9,
+  bates: 3.6,
+  bathe: 3.4,
+  baths: 3.5,
+  batik: 2,
+  baton: 3.5,
+  batts: 2.6,
+  batty: 2.8,
+  bawds: 1.6,
+  bawdy: 2.2,
+  bawls: 1.9,
+  bayou: 3.1,
+  bazar: 1.3,
+  bazoo: 2.2,
+  beach: 4.8,
+  beads: 3.5,
+  beady: 2.8,
+  beaks: 2.4,
+  beaky: 2.8,
+  beams: 3.4,
+  beano: 2.3,
+  beans: 4.2,
+  beany: 2.5,
+  beard: 4.1,
+  bears: 4.1,
+  beast: 4.4,
+  beats: 4.2,
+  beaus: 2.3,
+  beaut: 3.1,
+  beaux: 2.1,
+  bebop: 2.6,
+  becks: 2.4,
+  bedim: 1.3,
+  beech: 2.5,
+  beefs: 2.7,
+  beefy: 2.5,
+  beeps: 3.5,
+  beers: 4,
+  beery: 2.5,
+  beets: 3,
+  began: 4.5,
+  begat: 2.5,
+  beget: 2.5,
+  begin: 4.8,
+  begot: 2.1,
+  begun: 4,
+  beige: 3.1,
+  being: 5.7,
+  belay: 2.8,
+  belch: 2.9,
+  belie: 2.2,
+  belle: 3.9,
+  bells: 4.1,
+  belly: 4.2,
+  below: 4.4,
+  belts: 3.7,
+  bench: 4,
+  bends: 3.2,
+  bendy: 2.3,
+  benes: 2.6,
+  benet: 2.7,
+  benne: 1.3,
+  benny: 4.2,
+  beret: 3,
+  bergs: 1.3,
+  berms: 1.3,
+  berry: 3.5,
+  berth: 2.9,
+  beryl: 2.7,
+  beset: 2.4,
+  bests: 2.1,
+  betas: 1.8,
+  betel: 1.3,
+  betta: 1.6,
+  betty: 4.4,
+  bevel: 1.9,
+  bevvy: 1.3,
+  bezel: 1.3,
+  bhaji: 1.3,
+  bialy: 1.9,
+  bibbs: 2.1,
+  bible: 4.3,
+  bicep: 2.5,
+  biddy: 2.4,
+  bides: 1.9,
+  bidet: 2.5,
+  biffy: 1.9,
+  biggy: 2.1,
+  bight: 2.1,
+  bigot: 2.8,
+  bijou: 3.3,
+  biked: 1.8,
+  biker: 3.2,
+  bikes: 3.5,
+  bilbo: 3.1,
+  bilge: 3,
+  bilks: 1.3,
+  bills: 4.3,
+  billy: 4.8,
+  bimbo: 3.3,
+  binds: 2.9,
+  binge: 3,
+  bingo: 4.1,
+  bingy: 2.3,
+  biped: 2.3,
+  birch: 3.2,
+  birds: 4.4,
+  birks: 1.9,
+  birth: 4.4,
+  bison: 2.5,
+  bitch: 5.2,
+  biter: 2.8,
+  bites: 3.7,
+  bitsy: 2.9,
+  bitte: 2.8,
+  bitty: 3.3,
+  blabs: 1.9,
+  black: 5.2,
+  blade: 4.1,
+  blahs: 1.3,
+  blain: 2.3,
+  blame: 4.8,
+  bland: 3,
+  blank: 4,
+  blare: 2.6,
+  blase: 1.3,
+  blast: 4.2,
+  blaze: 3.3,
+  bleak: 3,
+  bleat: 2.1,
+  bleed: 4,
+  bleep: 3.4,
+  blend: 3.6,
+  bless: 4.5,
+  blest: 2,
+  blimp: 3,
+  blind: 4.7,
+  bling: 3.1,
+  blini: 2,
+  blink: 3.7,
+  blips: 2,
+  bliss: 3.5,
+  blite: 1.3,
+  blitz: 3.1,
+  bloat: 2.7,
+  blobs: 2.5,
+  block: 4.6,
+  blocs: 1.6,
+  blogs: 2.1,
+  bloke: 3.7,
+  blond: 4,
+  blood: 5.3,
+  bloom: 3.7,
+  bloop: 2.1,
+  blore: 2,
+  blots: 2.2,
+  blown: 4.2,
+  blows: 4.2,
+  blowy: 1.3,
+  blubs: 1.3,
+  bluer: 2.7,
+  blues: 4,
+  bluey: 1.9,
+  bluff: 3.8,
+  blunt: 3.7,
+  blurb: 2.4,
+  blurs: 1.6,
+  blurt: 2.7,
+  blush: 3.4,
+  board: 4.8,
+  boars: 2.4,
+  boast: 3,
+  boats: 4.1,
+  bobby: 4.8,
+  bocca: 1.8,
+  bocce: 2.3,
+  bocci: 1.6,
+  boche: 2.2,
+  bocks: 1.3,
+  bodes: 2.3,
+  bodge: 1.3,
+  bodhi: 2.7,
+  boffo: 2.1,
+  bogey: 3.4,
+  boggy: 2,
+  bogie: 2.7,
+  bogle: 1.3,
+  bogus: 3.4,
+  boils: 3.3,
+  boing: 2.6,
+  bolas: 1.9,
+  boles: 1.6,
+  bolos: 2.1,
+  bolts: 3.3,
+  bolus: 2.8,
+  bombe: 1.6,
+  bombo: 2.3,
+  bombs: 4.2,
+  bonds: 3.8,
+  boned: 2.9,
+  boner: 3.4,
+  bones: 4.5,
+  boney: 2,
+  bongo: 3.4,
+  bongs: 2,
+  bonne: 2.6,
+  bonny: 3.3,
+  bonus: 4,
+  boobs: 3.9,
+  booby: 3.4,
+  booed: 2.5,
+  books: 4.8,
+  booky: 1.3,
+  booms: 2.3,
+  boomy: 1.3,
+  boors: 2.1,
+  boost: 3.7,
+  booth: 4.3,
+  boots: 4.3,
+  booty: 3.8,
+  booze: 4,
+  boozy: 2.2,
+  borak: 1.3,
+  boras: 1.3,
+  borax: 2,
+  bored: 4.3,
+  borer: 1.6,
+  bores: 2.9,
+  boric: 1.3,
+  borne: 3,
+  boron: 2.2,
+  bosom: 3.5,
+  bossy: 3.2,
+  bosun: 2.9,
+  botch: 2.5,
+  bough: 2.5,
+  boule: 2.3,
+  bound: 4.3,
+  bourn: 1.6,
+  bouts: 2.7,
+  bowed: 2.9,
+  bowel: 3.6,
+  bower: 2.4,
+  bowie: 3.5,
+  bowls: 3.3,
+  boxed: 3.1,
+  boxer: 3.6,
+  boxes: 4.2,
+  boyos: 1.6,
+  bozos: 3,
+  brace: 3.8,
+  brach: 1.6,
+  brack: 2.4,
+  braes: 2,
+  brags: 2.5,
+  braid: 3,
+  brain: 4.9,
+  brake: 3.8,
+  brand: 4.1,
+  brank: 1.3,
+  brant: 2.8,
+  brash: 2.6,
+  brass: 4.1,
+  brats: 3.2,
+  brava: 2.9,
+  brave: 4.5,
+  bravo: 4.3,
+  brawl: 3.3,
+  brawn: 2.8,
+  brays: 2.2,
+  bread: 4.5,
+  break: 5.3,
+  breed: 3.8,
+  brent: 3.7,
+  breve: 1.3,
+  brews: 2.2,
+  briar: 2.9,
+  bribe: 3.8,
+  brick: 4,
+  bride: 4.4,
+  brief: 4.2,
+  brier: 2.8,
+  brill: 3,
+  brims: 1.6,
+  brine: 2.5,
+  bring: 5.5,
+  brink: 3.4,
+  briny: 2.8,
+  brisk: 3,
+  briss: 1.9,
+  brits: 3.1,
+  broad: 4.2,
+  brock: 3.4,
+  broil: 2.5,
+  broke: 5,
+  bromo: 2.5,
+  bronc: 2.8,
+  brood: 3,
+  brook: 3.3,
+  broom: 3.7,
+  broth: 2.9,
+  brown: 4.8,
+  brows: 2.4,
+  bruin: 1.8,
+  brunt: 2.7,
+  brush: 4.2,
+  brute: 3.5,
+  bubba: 3.6,
+  bubby: 2.2,
+  bucko: 2.8,
+  bucks: 4.7,
+  buddy: 5,
+  budge: 3.3,
+  buffi: 1.8,
+  buffo: 1.3,
+  buffs: 2.1,
+  buffy: 3.5,
+  buggy: 3.4,
+  bugle: 3.2,
+  build: 4.7,
+  built: 4.6,
+  bulbs: 3.2,
+  bulge: 3,
+  bulgy: 1.6,
+  bulks: 1.3,
+  bulky: 2.7,
+  bulla: 1.3,
+  bulls: 3.7,
+  bully: 3.9,
+  bumps: 3.5,
+  bumpy: 3.6,
+  bunce: 1.6,
+  bunch: 4.8,
+  bunco: 2.3,
+  bundt: 2.8,
+  bundy: 4.2,
+  bunko: 2.1,
+  bunks: 3,
+  bunny: 4.3,
+  bunts: 1.3,
+  buoys: 2.3,
+  burbs: 2.5,
+  burgh: 2.1,
+  burgs: 1.6,
+  burka: 1.8,
+  burke: 4,
+  burks: 2.1,
+  burly: 2.5,
+  burns: 4.4,
+  burnt: 4,
+  burps: 2.6,
+  burro: 3,
+  burrs: 1.8,
+  burry: 2.1,
+  bursa: 1.8,
+  burse: 1.3,
+  burst: 3.9,
+  busby: 1.6,
+  bused: 1.3,
+  buses: 3.6,
+  bushy: 2.7,
+  busts: 3.1,
+  busty: 2.4,
+  butch: 3.8,
+  butte: 2.7,
+  butts: 3.8,
+  buxom: 2,
+  buyer: 3.7,
+  buzzy: 2.6,
+  bwana: 2.8,
+  bylaw: 2.1,
+  bytes: 2.5,
+  byway: 2.1,
+  cabal: 2.4,
+  cabby: 2.9,
+  caber: 2.4,
+  cabin: 4.3,
+  cable: 4.3,
+  cache: 2.8,
+  cacti: 1.9,
+  caddy: 3.5,
+  cadet: 3.5,
+  cadge: 1.3,
+  cadre: 2.4,
+  cafes: 2.5,
+  caged: 3.2,
+  cager: 2.7,
+  cages: 3.4,
+  cagey: 2.8,
+  cairn: 1.8,
+  cajon: 1.3,
+  cajun: 3,
+  caked: 2.2,
+  cakes: 3.8,
+  cakey: 1.6,
+  calif: 1.3,
+  calla: 2.3,
+  calls: 4.9,
+  calms: 3.1,
+  calmy: 1.3,
+  camel: 3.7,
+  cameo: 2.7,
+  cames: 1.3,
+  campo: 2,
+  camps: 3.6,
+  campy: 1.8,
+  camus: 2.2,
+  canal: 3.8,
+  candy: 4.6,
+  caned: 2.1,
+  canes: 2.6,
+  canid: 1.8,
+  canna: 1.8,
+  canny: 2.3,
+  canoe: 3.6,
+  canon: 3,
+  canst: 2.8,
+  canto: 2.1,
+  canty: 1.6,
+  caped: 2.1,
+  caper: 3.2,
+  capes: 2.5,
+  capon: 1.9,
+  capos: 1.8,
+  caput: 1.6,
+  carat: 2.5,
+  carbo: 1.8,
+  carbs: 3,
+  cards: 4.7,
+  cared: 4.2,
+  carer: 1.9,
+  cares: 4.6,
+  cargo: 4,
+  carls: 1.8,
+  carny: 2.5,
+  carob: 2.3,
+  carol: 4.5,
+  carom: 2,
+  carpi: 1.3,
+  carps: 1.6,
+  carry: 4.8,
+  carte: 3.1,
+  carts: 3.3,
+  carve: 3.5,
+  casco: 1.8,
+  cased: 2.6,
+  cases: 4.4,
+  casks: 2.2,
+  caste: 2.9,
+  casts: 3,
+  catch: 5.1,
+  cater: 3.1,
+  cates: 2.8,
+  catty: 2.6,
+  caulk: 2.4,
+  cause: 5.5,
+  caved: 3,
+  caves: 3.6,
+  cease: 3.9,
+  cecum: 2.3,
+  cedar: 3.4,
+  ceded: 1.6,
+  ceiba: 1.3,
+  celeb: 2.5,
+  cella: 2.2,
+  cello: 3.3,
+  cells: 4.1,
+  celts: 2.1,
+  cents: 4.3,
+  ceres: 2.2,
+  certs: 1.9,
+  cetyl: 1.3,
+  chaco: 2.1,
+  chads: 1.9,
+  chafe: 2.4,
+  chaff: 2.3,
+  chain: 4.3,
+  chair: 4.7,
+  chalk: 3.6,
+  champ: 4.2,
+  chang: 3.6,
+  chant: 3.4,
+  chaos: 4,
+  chaps: 3.4,
+  chara: 1.6,
+  chard: 2,
+  charm: 4.2,
+  chart: 4,
+  chase: 4.5,
+  chasm: 2.5,
+  chats: 2.6,
+  chaya: 1.3,
+  cheap: 4.6,
+  cheat: 4.2,
+  check: 5.4,
+  cheek: 3.9,
+  cheep: 2.1,
+  cheer: 4.3,
+  chefs: 3,
+  chela: 1.6,
+  chemo: 3.2,
+  chess: 3.9,
+  chest: 4.6,
+  chevy: 3.5,
+  chews: 2.8,
+  chewy: 2.8,
+  chiao: 2.1,
+  chica: 2.7,
+  chich: 1.3,
+  chick: 4.4,
+  chico: 3.3,
+  chics: 1.3,
+  chide: 2,
+  chief: 4.9,
+  child: 5.2,
+  chile: 3.1,
+  chili: 3.9,
+  chill: 4.2,
+  chime: 3,
+  chimp: 3.5,
+  china: 4.4,
+  chine: 1.9,
+  ching: 3.5,
+  chink: 3.2,
+  chino: 3.5,
+  chins: 2.8,
+  chips: 4.2,
+  chiro: 2,
+  chirp: 2.8,
+  chits: 2.1,
+  chock: 2.2,
+  choco: 2.9,
+  chocs: 1.3,
+  choir: 3.7,
+  choke: 3.8,
+  choko: 2,
+  choky: 1.6,
+  chola: 1.3,
+  choli: 1.3,
+  cholo: 2.6,
+  chomp: 2.4,
+  chook: 2,
+  chops: 3.7,
+  chord: 3.3,
+  chore: 3,
+  chose: 4.3,
+  chows: 2.1,
+  chubs: 1.3,
+  chuck: 4.3,
+  chuff: 1.6,
+  chugs: 1.6,
+  chump: 3.6,
+  chums: 2.8,
+  chunk: 3.6,
+  churl: 1.3,
+  churn: 2.8,
+  chute: 3.6,
+  cider: 3.3,
+  cigar: 4.1,
+  ciggy: 2,
+  cilia: 1.6,
+  cinch: 3.6,
+  circa: 2.8,
+  circs: 2.1,
+  cisco: 3.2,
+  cissy: 2.5,
+  cited: 2.9,
+  cites: 2,
+  civet: 2.1,
+  civic: 3.3,
+  civie: 1.3,
+  civil: 4.2,
+  civvy: 1.6,
+  clack: 2.6,
+  claim: 4.4,
+  clamp: 3.8,
+  clams: 3.4,
+  clang: 2.9,
+  clank: 2.5,
+  clans: 2.9,
+  claps: 2.7,
+  claro: 2.1,
+  clary: 2.3,
+  clash: 3.1,
+  clasp: 3,
+  class: 5.1,
+  clave: 2,
+  claws: 3.6,
+  clays: 1.6,
+  clean: 5.1,
+  clear: 5.2,
+  cleat: 2.6,
+  cleek: 1.3,
+  cleft: 2.8,
+  clept: 1.6,
+  clerk: 4.1,
+  cleve: 3.3,
+  clews: 1.8,
+  click: 3.8,
+  cliff: 4.3,
+  clift: 2.3,
+  climb: 4.3,
+  clime: 2.1,
+  cline: 2.5,
+  cling: 3.4,
+  clink: 3.1,
+  clint: 3.4,
+  clips: 3.3,
+  cloak: 3.5,
+  clock: 4.8,
+  clods: 2.1,
+  clogs: 2.6,
+  clomp: 2.2,
+  clone: 3.4,
+  close: 5.3,
+  clote: 1.3,
+  cloth: 3.8,
+  clots: 2.8,
+  cloud: 4.1,
+  clout: 3,
+  clove: 2.7,
+  clown: 4.2,
+  clubs: 4,
+  cluck: 3.2,
+  clued: 2.4,
+  clues: 3.8,
+  clump: 2.7,
+  clung: 2.7,
+  clunk: 2.8,
+  coach: 4.7,
+  coals: 3,
+  coast: 4.4,
+  coats: 3.8,
+  cobbs: 1.8,
+  cobby: 2.7,
+  coble: 2.4,
+  cobra: 3.5,
+  cocci: 1.3,
+  cocks: 3.3,
+  cocky: 3.6,
+  cocoa: 3.7,
+  coded: 3.2,
+  coder: 2.1,
+  codes: 4,
+  codex: 2.5,
+  codon: 1.3,
+  coeds: 2.5,
+  cohen: 4.1,
+  cohos: 1.3,
+  coign: 1.3,
+  coils: 3,
+  coins: 3.6,
+  coked: 2.3,
+  cokes: 3.1,
+  colas: 2.3,
+  colds: 2.9,
+  coles: 3,
+  coley: 2.8,
+  colic: 2.7,
+  colin: 4.1,
+  colly: 1.6,
+  colon: 3.4,
+  color: 4.6,
+  colts: 2.7,
+  comas: 2.5,
+  combe: 1.9,
+  combo: 3.4,
+  combs: 2.9,
+  comer: 2.6,
+  comes: 5.4,
+  comet: 3.5,
+  comfy: 3.4,
+  comic: 4,
+  comma: 3,
+  comps: 2.5,
+  comte: 2.6,
+  conch: 2.6,
+  condo: 3.6,
+  coned: 1.3,
+  cones: 3.1,
+  coney: 3.3,
+  conga: 2.9,
+  congo: 3.1,
+  conic: 1.8,
+  conks: 2,
+  conte: 1.6,
+  conto: 1.3,
+  conus: 1.8,
+  cooch: 2.4,
+  cooed: 1.3,
+  cooer: 1.3,
+  cooey: 1.3,
+  cooks: 3.6,
+  cooky: 1.3,
+  cools: 2.9,
+  cooly: 2.4,
+  coons: 2.7,
+  coops: 1.3,
+  coots: 1.3,
+  coped: 2,
+  coper: 1.6,
+  copes: 1.3,
+  copra: 1.9,
+  coral: 3.4,
+  corby: 2.3,
+  cords: 3.2,
+  cored: 1.3,
+  cores: 2.8,
+  corgi: 1.3,
+  corks: 2.3,
+  corky: 3.5,
+  corns: 2.9,
+  cornu: 1.6,
+  corny: 3.6,
+  corps: 4,
+  corse: 2.3,
+  coset: 1.3,
+  costa: 3.5,
+  costs: 4.2,
+  cotes: 1.6,
+  cotta: 1.9,
+  couch: 4.4,
+  cough: 3.9,
+  could: 6.2,
+  count: 5,
+  coupe: 2.8,
+  coups: 1.9,
+  court: 5,
+  couth: 2.1,
+  coven: 2.8,
+  cover: 5,
+  coves: 1.6,
+  covet: 3,
+  covey: 2.8,
+  covin: 2.1,
+  cowan: 2.1,
+  cowed: 2.1,
+  cower: 2.5,
+  cowry: 1.3,
+  coxes: 1.3,
+  coyly: 1.8,
+  cozed: 1.3,
+  cozen: 1.3,
+  crabs: 3.5,
+  crack: 4.5,
+  craft: 3.8,
+  crags: 1.3,
+  craig: 3.9,
+  cramp: 3.4,
+  crane: 4.5,
+  crank: 3.7,
+  crape: 1.3,
+  craps: 3.5,
+  crapy: 1.3,
+  crash: 4.5,
+  crass: 2.8,
+  crate: 3.6,
+  crave: 3.3,
+  crawl: 4.1,
+  craze: 3,
+  crazy: 5.4,
+  creak: 2.7,
+  cream: 4.7,
+  credo: 2.8,
+  creed: 3.4,
+  creek: 3.9,
+  creel: 1.9,
+  creep: 4.1,
+  creme: 3.1,
+  crepe: 2.9,
+  crept: 3.1,
+  cress: 1.3,
+  crest: 3.3,
+  crewe: 3.2,
+  crews: 3.5,
+  cribs: 2.7,
+  crick: 3.3,
+  cried: 4.1,
+  crier: 2.5,
+  cries: 3.8,
+  crime: 4.9,
+  crimp: 2.6,
+  crips: 2.6,
+  crisp: 3.5,
+  croak: 3.1,
+  crock: 3.3,
+  croft: 3,
+  crone: 2.6,
+  cronk: 1.6,
+  crony: 2.2,
+  crook: 3.8,
+  croon: 2.4,
+  crops: 3.4,
+  cross: 4.7,
+  crost: 2.1,
+  croup: 2.4,
+  crowd: 4.6,
+  crown: 4.1,
+  crows: 3.4,
+  crude: 3.5,
+  cruds: 2,
+  cruel: 4.3,
+  cruet: 1.3,
+  crumb: 3.3,
+  crump: 2,
+  crunk: 2,
+  crush: 4.2,
+  crust: 3.5,
+  crypt: 3.1,
+  cubby: 2.9,
+  cubeb: 1.3,
+  cubed: 2.2,
+  cubes: 3.3,
+  cubic: 2.9,
+  cubit: 1.6,
+  cuddy: 2.6,
+  cuffs: 3.7,
+  cuing: 1.8,
+  cukes: 2,
+  culex: 1.3,
+  culls: 1.6,
+  cully: 3,
+  culpa: 2.6,
+  cults: 2.8,
+  cumin: 2.5,
+  cunts: 2.9,
+  cupid: 3.4,
+  cuppa: 2.2,
+  cuppy: 1.9,
+  curbs: 2,
+  curds: 1.9,
+  cured: 3.8,
+  cures: 3.1,
+  curia: 1.3,
+  curie: 3.3,
+  curio: 2.2,
+  curls: 3.2,
+  curly: 3.8,
+  curry: 3.4,
+  curse: 4.3,
+  curst: 2.1,
+  curve: 3.7,
+  curvy: 2.3,
+  cushy: 2.8,
+  cusps: 1.3,
+  cuter: 3.3,
+  cutes: 2.1,
+  cutey: 1.8,
+  cutie: 3.5,
+  cutty: 2.4,
+  cutup: 1.9,
+  cuvee: 2.7,
+  cycle: 3.8,
+  cyclo: 2,
+  cynic: 3,
+  cysts: 2.1,
+  czars: 1.9,
+  dabba: 1.6,
+  dacha: 1.9,
+  dadas: 1.3,
+  daddy: 5.3,
+  daffy: 3.2,
+  dagos: 2.2,
+  daily: 4.2,
+  dairy: 3.4,
+  daisy: 4.1,
+  dales: 2.2,
+  dally: 2.9,
+  dames: 3.6,
+  damme: 2.7,
+  damns: 2,
+  dance: 5.2,
+  dancy: 1.3,
+  dandy: 3.6,
+  darcy: 3.5,
+  dared: 3.7,
+  darer: 1.3,
+  dares: 3.4,
+  daric: 2.6,
+  darks: 1.8,
+  darky: 2.1,
+  darns: 1.3,
+  darts: 3.3,
+  dated: 4.1,
+  dater: 2.2,
+  dates: 4.3,
+  daube: 1.3,
+  daubs: 1.6,
+  daunt: 1.6,
+  daven: 2.1,
+  dawns: 2.7,
+  dayan: 1.6,
+  dazed: 2.9,
+  deads: 2.2,
+  deals: 4,
+  dealt: 3.9,
+  deans: 1.8,
+  deare: 2.7,
+  dears: 3.2,
+  deary: 2.6,
+  death: 5.3,
+  debby: 3.1,
+  debit: 2.2,
+  debts: 3.8,
+  debug: 2.3,
+  debut: 3.4,
+  decaf: 3.4,
+  decal: 2.1,
+  decay: 3.3,
+  decks: 3.4,
+  decor: 3,
+  decoy: 3.6,
+  deeds: 3.9,
+  deems: 2.3,
+  deeps: 1.3,
+  deers: 2,
+  defer: 2.8,
+  degas: 2.9,
+  deify: 1.3,
+  deign: 2.5,
+  deity: 2.7,
+  dekes: 1.3,
+  delay: 4,
+  delft: 2.3,
+  delis: 1.9,
+  dells: 2.1,
+  delta: 3.9,
+  delve: 2.4,
+  demon: 4.5,
+  demos: 2.5,
+  demur: 1.3,
+  denim: 2.8,
+  dense: 3.3,
+  dents: 2.7,
+  depot: 3.5,
+  depth: 3.9,
+  derby: 3.3,
+  derma: 2,
+  derry: 2.8,
+  desks: 3,
+  deter: 2.6,
+  detox: 3.1,
+  deuce: 3.5,
+  devel: 1.3,
+  devil: 4.6,
+  devon: 4.3,
+  dewar: 2.3,
+  dhole: 1.3,
+  dhows: 1.3,
+  dials: 2.9,
+  diary: 4,
+  diced: 2.6,
+  dicer: 1.8,
+  dices: 2.4,
+  dicey: 2.8,
+  dicks: 3.6,
+  dicky: 2.9,
+  diddy: 2.7,
+  didie: 1.6,
+  didos: 1.3,
+  didst: 2.5,
+  diets: 2.8,
+  digit: 2.8,
+  diker: 2.1,
+  dikes: 2.3,
+  dildo: 3.1,
+  dills: 1.6,
+  dilly: 2.5,
+  dimer: 1.3,
+  dimes: 3.3,
+  dimly: 2.4,
+  dinar: 2.5,
+  dined: 2.9,
+  diner: 4.1,
+  dines: 2.2,
+  dinge: 2.3,
+  dingo: 3.1,
+  dings: 3.2,
+  dingy: 2.8,
+  dinks: 2.3,
+  dinky: 3,
+  dinos: 2.2,
+  diode: 2.1,
+  dippy: 2.6,
+  dirge: 2.2,
+  dirks: 1.3,
+  dirts: 1.6,
+  dirty: 4.8,
+  disco: 3.8,
+  discs: 2.8,
+  dishy: 2.2,
+  disks: 3.2,
+  ditch: 3.9,
+  ditsy: 1.8,
+  ditto: 3.2,
+  ditty: 2.9,
+  ditzy: 2.1,
+  divan: 2.1,
+  divas: 1.9,
+  dived: 2.6,
+  diver: 3.4,
+  dives: 3,
+  divot: 2.4,
+  divvy: 2.6,
+  dixie: 3.6,
+  dizzy: 3.9,
+  djinn: 1.3,
+  doats: 2.1,
+  dobby: 3,
+  dobie: 3.1,
+  docks: 3.6,
+  dodge: 3.9,
+  dodgy: 2.6,
+  dodos: 1.6,
+  doers: 2.1,
+  doest: 1.9,
+  doeth: 1.6,
+  doges: 1.3,
+  doggy: 3.6,
+  dogie: 1.9,
+  dogma: 2.4,
+  doily: 2.5,
+  doing: 6,
+  dojos: 1.3,
+  dolce: 3,
+  doled: 1.9,
+  doles: 1.6,
+  dolls: 3.8,
+  dolly: 3.8,
+  dolor: 1.8,
+  dolts: 2.1,
+  domed: 2.2,
+  domes: 2.4,
+  dongs: 2.8,
+  donna: 4.3,
+  donny: 3.9,
+  donor: 3.6,
+  donut: 3.1,
+  dooms: 1.8,
+  doors: 4.5,
+  doozy: 2.8,
+  doped: 2.9,
+  doper: 2.2,
+  dopes: 2.8,
+  dopey: 3.1,
+  doris: 3.9,
+  dorks: 2.7,
+  dorky: 3,
+  dorms: 2.9,
+  dosed: 2.5,
+  doses: 3.2,
+  doted: 2.1,
+  dotes: 2.5,
+  dotty: 3,
+  doubt: 4.8,
+  douce: 1.3,
+  dough: 4.2,
+  douma: 1.6,
+  douse: 2.9,
+  doves: 3,
+  dowdy: 2.4,
+  dowel: 1.8,
+  dower: 1.3,
+  downs: 3.3,
+  downy: 2.6,
+  dowry: 3.2,
+  dowse: 1.6,
+  doxie: 1.3,
+  doyen: 1.3,
+  dozed: 2.9,
+  dozen: 4.4,
+  dozer: 2.6,
+  dozes: 1.9,
+  drabs: 2.2,
+  draco: 2.6,
+  draft: 3.9,
+  drags: 3.1,
+  drain: 3.9,
+  drake: 3.8,
+  drama: 4.3,
+  drams: 1.8,
+  drank: 4.1,
+  drape: 3,
+  drats: 1.3,
+  drawl: 1.9,
+  drawn: 4,
+  draws: 3.6,
+  dread: 3.4,
+  dream: 5.1,
+  drear: 1.6,
+  dreck: 2.4,
+  dregs: 2.7,
+  dress: 4.9,
+  drest: 1.3,
+  dribs: 1.8,
+  dried: 3.7,
+  drier: 2.6,
+  dries: 3,
+  drift: 3.8,
+  drill: 4.1,
+  drink: 5.4,
+  drips: 2.9,
+  drive: 5.2,
+  droit: 1.8,
+  droll: 2.7,
+  drome: 1.3,
+  drone: 3.5,
+  drool: 3.3,
+  droop: 2.5,
+  drops: 4,
+  dross: 1.9,
+  drove: 4.5,
+  drown: 4,
+  drugs: 4.7,
+  druid: 2.5,
+  drums: 3.9,
+  drunk: 4.9,
+  dryad: 1.3,
+  dryer: 3.7,
+  ducal: 2.7,
+  ducat: 1.9,
+  duchy: 2,
+  ducks: 3.9,
+  ducky: 3.3,
+  ducts: 3,
+  duddy: 1.3,
+  dudes: 3.8,
+  duels: 2.4,
+  duets: 2.2,
+  duffs: 1.8,
+  dukes: 3.3,
+  dulce: 1.9,
+  dulls: 2.3,
+  dully: 1.6,
+  dumas: 2,
+  dumbo: 3,
+  dummy: 4,
+  dumps: 3.4,
+  dumpy: 2.4,
+  dunce: 2.7,
+  dunes: 2.9,
+  dungy: 1.3,
+  dunks: 2.2,
+  dunno: 3.6,
+  dunny: 1.3,
+  duomo: 1.3,
+  duped: 2.9,
+  duper: 2.9,
+  dupes: 1.3,
+  duppy: 1.3,
+  dural: 2.1,
+  durst: 2.4,
+  dusky: 2.6,
+  dusts: 1.9,
+  dusty: 3.7,
+  dutch: 4.2,
+  duvet: 2.4,
+  dwarf: 3.5,
+  dweeb: 2.7,
+  dwell: 3.4,
+  dwelt: 2,
+  dying: 4.8,
+  dyked: 1.3,
+  dykes: 2.8,
+  eager: 3.8,
+  eagle: 4.1,
+  eared: 1.3,
+  earls: 2.4,
+  early: 5,
+  earns: 3,
+  earth: 5,
+  eased: 2.7,
+  easel: 2.4,
+  easer: 1.3,
+  eases: 2.5,
+  eaten: 4.3,
+  eater: 3.2,
+  eaves: 2,
+  ebbed: 1.6,
+  ebony: 2.9,
+  echos: 1.9,
+  eclat: 1.3,
+  edema: 3,
+  edged: 2.3,
+  edger: 1.3,
+  edges: 3.5,
+  edict: 2.5,
+  edify: 1.8,
+  edits: 2.3,
+  eerie: 3.2,
+  effed: 1.3,
+  egads: 2.3,
+  egged: 2.3,
+  egret: 1.6,
+  eider: 1.6,
+  eight: 5,
+  eject: 3.1,
+  eking: 1.9,
+  eland: 1.3,
+  elbow: 3.8,
+  elder: 3.8,
+  elect: 3.1,
+  elegy: 1.8,
+  elfin: 2.2,
+  elite: 3.5,
+  elope: 3.1,
+  elude: 2.6,
+  elves: 3.5,
+  email: 3.3,
+  embed: 1.9,
+  ember: 2.3,
+  emcee: 2.7,
+  emend: 1.6,
+  emery: 3.3,
+  emits: 2.5,
+  emmet: 2.8,
+  emote: 1.8,
+  emove: 1.3,
+  empty: 4.7,
+  enact: 2.2,
+  ended: 4.5,
+  endow: 2.3,
+  enema: 3.1,
+  enemy: 4.7,
+  enjoy: 4.9,
+  ennui: 2.6,
+  enrol: 2.1,
+  ensue: 2.3,
+  enter: 4.5,
+  entry: 4.1,
+  envoy: 2.9,
+  eosin: 1.3,
+  epics: 1.8,
+  epoch: 2.1,
+  epoxy: 2.2,
+  equal: 4.1,
+  equip: 2.5,
+  erase: 3.8,
+  erect: 3.1,
+  ergot: 1.8,
+  erica: 3.7,
+  erode: 2.1,
+  erred: 2.1,
+  error: 4,
+  erupt: 2.6,
+  essay: 3.8,
+  ester: 1.6,
+  ether: 3.3,
+  ethic: 3,
+  ethos: 2.1,
+  ethyl: 2.6,
+  euros: 2.9,
+  evade: 2.9,
+  evens: 2.7,
+  event: 4.4,
+  evert: 1.9,
+  every: 5.7,
+  evict: 2.8,
+  evils: 3.1,
+  evite: 1.3,
+  evoke: 2.5,
+  exact: 4.4,
+  exalt: 2.3,
+  exams: 3.5,
+  excel: 2.9,
+  exeat: 1.3,
+  execs: 2.4,
+  exert: 2.8,
+  exile: 3.3,
+  exist: 4.5,
+  exits: 3.6,
+  expat: 1.6,
+  expel: 3.1,
+  expos: 1.6,
+  extol: 1.6,
+  extra: 4.8,
+  exude: 2.3,
+  eyrie: 1.3,
+  fable: 2.6,
+  faced: 3.8,
+  facer: 1.3,
+  faces: 4.4,
+  facet: 2.4,
+  facts: 4.4,
+  faded: 3.5,
+  fader: 1.6,
+  fades: 3.3,
+  faery: 1.8,
+  faffs: 1.3,
+  faggy: 2.5,
+  fagin: 2.1,
+  fails: 3.7,
+  faint: 4,
+  fairs: 2.7,
+  fairy: 4.2,
+  faith: 4.7,
+  faked: 3.5,
+  faker: 3.2,
+  fakes: 3.2,
+  fakir: 1.9,
+  falls: 4.4,
+  false: 4.3,
+  famed: 2.9,
+  fames: 1.3,
+  fancy: 4.5,
+  fangs: 3.3,
+  fanny: 3.7,
+  faqir: 1.3,
+  farad: 1.3,
+  farce: 3.2,
+  fared: 2.4,
+  fares: 2.8,
+  farms: 3.5,
+  farts: 3.2,
+  fasts: 1.8,
+  fatal: 3.9,
+  fated: 2.8,
+  fates: 3.1,
+  fatso: 3.5,
+  fatty: 3.7,
+  fatwa: 2.2,
+  fault: 5,
+  fauna: 2.7,
+  fauns: 1.6,
+  faves: 1.3,
+  favor: 4.8,
+  fawns: 1.9,
+  faxed: 3.1,
+  faxes: 2.7,
+  fayed: 3.8,
+  fazed: 2.1,
+  fazes: 1.9,
+  fears: 4,
+  feast: 3.8,
+  feats: 2.7,
+  fecal: 2.8,
+  feces: 2.9,
+  feeds: 3.6,
+  feels: 4.8,
+  feign: 2.7,
+  feint: 2.7,
+  feist: 1.3,
+  fella: 4.5,
+  fells: 2.1,
+  felon: 3.4,
+  felts: 1.3,
+  femme: 3.1,
+  femur: 3.1,
+  fence: 4.2,
+  fends: 1.6,
+  fenny: 1.3,
+  feral: 2.2,
+  feria: 1.9,
+  fermi: 1.8,
+  ferns: 2.4,
+  ferry: 3.7,
+  fesse: 1.3,
+  festa: 1.6,
+  fests: 1.8,
+  fetal: 3.1,
+  fetch: 4,
+  feted: 1.3,
+  fetes: 1.6,
+  fetid: 2.1,
+  fetor: 1.3,
+  fetus: 3.2,
+  feuds: 2.2,
+  fever: 4.3,
+  fewer: 3.5,
+  fiber: 3.5,
+  fibre: 2.8,
+  fiche: 1.3,
+  ficus: 2.7,
+  field: 4.8,
+  fiend: 3.4,
+  fiery: 3.3,
+  fifes: 1.6,
+  fifth: 4.3,
+  fifty: 4.3,
+  figgy: 2.2,
+  fight: 5.3,
+  filch: 2.1,
+  filed: 3.9,
+  filer: 1.3,
+  files: 4.4,
+  filet: 3,
+  fills: 3.4,
+  filly: 3.1,
+  films: 4.2,
+  filmy: 1.9,
+  filth: 3.7,
+  final: 4.7,
+  finch: 3.6,
+  finds: 4.5,
+  fined: 2.9,
+  finer: 3.4,
+  fines: 2.9,
+  finis: 2.1,
+  finks: 1.9,
+  finny: 1.6,
+  fired: 4.8,
+  fires: 4,
+  firms: 3.2,
+  first: 5.9,
+  firth: 2.2,
+  fishy: 3.4,
+  fists: 3.5,
+  fisty: 1.9,
+  fitch: 3.4,
+  fitly: 1.3,
+  fiver: 2.7,
+  fives: 3.1,
+  fixed: 4.5,
+  fixer: 2.8,
+  fixes: 3.2,
+  fizzy: 2.3,
+  fjord: 2.7,
+  flack: 3,
+  flags: 3.5,
+  flail: 2.2,
+  flair: 3.4,
+  flake: 3.2,
+  flaky: 2.9,
+  flame: 4,
+  flams: 1.3,
+  flank: 3.7,
+  flans: 1.3,
+  flaps: 3.2,
+  flare: 3.6,
+  flash: 4.2,
+  flask: 3,
+  flats: 3.2,
+  flaws: 3.3,
+  fleas: 3.4,
+  fleck: 2.1,
+  fleer: 1.9,
+  flees: 2.6,
+  fleet: 4,
+  flesh: 4.3,
+  fleur: 3,
+  flick: 3.7,
+  flics: 1.3,
+  flied: 2.4,
+  flier: 3.3,
+  flies: 4.1,
+  fling: 3.5,
+  flint: 3.6,
+  flips: 3.1,
+  flirt: 3.6,
+  float: 3.9,
+  flock: 3.7,
+  floes: 2,
+  flood: 3.8,
+  floor: 5,
+  flops: 2.7,
+  flora: 3.3,
+  floss: 3.3,
+  flour: 3.5,
+  flout: 2.3,
+  flown: 3.7,
+  flows: 3.4,
+  flubs: 1.8,
+  fluey: 1.3,
+  fluff: 3.1,
+  fluid: 4,
+  fluke: 3.2,
+  flume: 2.2,
+  flung: 2.9,
+  flunk: 3.3,
+  flush: 4,
+  flute: 3.3,
+  flyby: 2.2,
+  flyer: 3.5,
+  flyte: 2.5,
+  foals: 1.3,
+  foams: 2,
+  foamy: 2.4,
+  focal: 2.8,
+  focus: 4.5,
+  fogey: 1.8,
+  foggy: 3.1,
+  foils: 2.1,
+  foist: 2.2,
+  folds: 3,
+  folic: 2.1,
+  folio: 1.9,
+  folks: 4.9,
+  folky: 1.6,
+  folly: 3.2,
+  fondu: 1.3,
+  fonts: 1.6,
+  foods: 3.5,
+  foody: 1.6,
+  fools: 4.1,
+  foots: 2.2,
+  footy: 1.6,
+  foray: 2.6,
+  force: 4.8,
+  fordo: 2.1,
+  fords: 2.6,
+  forge: 3.5,
+  forgo: 2.5,
+  forks: 3.3,
+  forme: 2.2,
+  forms: 4.1,
+  forte: 2.8,
+  forth: 4.2,
+  forts: 2.6,
+  forty: 4,
+  forum: 3.3,
+  fossa: 2.8,
+  fosse: 2.1,
+  fouls: 2.7,
+  found: 5.6,
+  fount: 1.9,
+  fours: 3.3,
+  fovea: 1.3,
+  fowls: 2.2,
+  foxed: 1.8,
+  foxes: 3.1,
+  foyer: 2.9,
+  frack: 2.3,
+  frags: 2.1,
+  frail: 3.2,
+  frame: 4.1,
+  franc: 2.9,
+  frank: 5.2,
+  frass: 1.3,
+  frats: 1.3,
+  fraud: 4,
+  freak: 4.6,
+  freed: 3.6,
+  freer: 2.5,
+  frees: 2.8,
+  freon: 2.5,
+  fresh: 4.7,
+  frets: 2.3,
+  friar: 3.2,
+  fried: 4,
+  fries: 4.1,
+  frill: 1.3,
+  frisk: 3.2,
+  frist: 1.3,
+  fritz: 3.7,
+  frizz: 1.6,
+  frock: 2.9,
+  frogs: 3.5,
+  frond: 1.6,
+  front: 5.3,
+  frosh: 2.1,
+  frost: 3.7,
+  froth: 2.3,
+  frown: 3.3,
+  froze: 3.6,
+  fruit: 4.3,
+  frump: 2.1,
+  fryer: 2.8,
+  fubsy: 1.3,
+  fucks: 3.7,
+  fudge: 3.6,
+  fudgy: 2.1,
+  fuels: 2.7,
+  fugle: 1.3,
+  fugue: 2.7,
+  fully: 4.2,
+  fumed: 1.6,
+  fumes: 3.5,
+  fundi: 1.6,
+  funds: 3.8,
+  fungi: 2.2,
+  funks: 2.4,
+  funky: 3.7,
+  funny: 5.3,
+  furor: 2.1,
+  furry: 3.4,
+  furze: 1.3,
+  fused: 2.8,
+  fusel: 1.3,
+  fuses: 3.1,
+  fussy: 3.2,
+  fusty: 1.3,
+  futon: 2.8,
+  fuzzy: 3.8,
+  gabby: 3.2,
+  gable: 3,
+  gaffe: 1.6,
+  gages: 1.3,
+  gaily: 2.6,
+  gains: 3.2,
+  gaits: 1.3,
+  galas: 1.6,
+  galea: 1.9,
+  gales: 2.2,
+  galls: 2.5,
+  gamba: 2.1,
+  gambs: 1.3,
+  gamed: 1.3,
+  gamer: 2.1,
+  games: 4.7,
+  gamey: 1.8,
+  gamin: 1.6,
+  gamma: 3.5,
+  gammy: 2.5,
+  gamut: 2.4,
+  ganef: 1.3,
+  gangs: 3.6,
+  ganja: 2.4,
+  gaper: 1.3,
+  gapes: 1.3,
+  garbo: 2.9,
+  garbs: 1.3,
+  garth: 3.5,
+  gases: 2.9,
+  gasps: 4,
+  gassy: 2.6,
+  gated: 2.4,
+  gates: 4.1,
+  gator: 3.6,
+  gauds: 1.3,
+  gaudy: 2.6,
+  gauge: 3.3,
+  gault: 2.3,
+  gaunt: 2.2,
+  gauss: 2.4,
+  gauze: 3.2,
+  gauzy: 1.3,
+  gavel: 2.9,
+  gawks: 1.3,
+  gawky: 2.4,
+  gayer: 2.5,
+  gazed: 2.7,
+  gazer: 1.8,
+  gazes: 2,
+  gears: 3.2,
+  gecko: 2.6,
+  geeks: 3.4,
+  geeky: 2.7,
+  geese: 3.2,
+  geist: 2.4,
+  gemma: 2.4,
+  genes: 3.5,
+  genet: 1.6,
+  genie: 3.5,
+  genii: 1.3,
+  genoa: 2.9,
+  genre: 3,
+  gents: 3.5,
+  genty: 1.3,
+  genus: 2.5,
+  geode: 1.8,
+  germs: 3.5,
+  germy: 1.8,
+  getup: 2.9,
+  ghats: 1.6,
+  ghazi: 1.3,
+  ghost: 4.6,
+  ghoul: 3,
+  giant: 4.4,
+  gibes: 1.8,
+  giddy: 3.3,
+  gifts: 4.2,
+  gills: 3.1,
+  gilly: 3.3,
+  gilts: 1.3,
+  gimel: 1.6,
+  gimme: 4.3,
+  gimps: 1.9,
+  gimpy: 2.6,
+  ginks: 1.6,
+  ginny: 3.4,
+  ginzo: 1.3,
+  gippo: 1.3,
+  gippy: 1.6,
+  gipsy: 2.2,
+  girls: 5.3,
+  girly: 3.1,
+  giron: 2.5,
+  girth: 2.6,
+  gismo: 2.4,
+  given: 5,
+  giver: 3.1,
+  gives: 4.8,
+  gizmo: 3.2,
+  glade: 2.6,
+  glads: 1.3,
+  glair: 1.3,
+  gland: 3.2,
+  glans: 1.3,
+  glare: 3.2,
+  glary: 1.3,
+  glass: 4.8,
+  glaze: 2.9,
+  gleam: 3,
+  glean: 1.6,
+  gleba: 2.2,
+  gleet: 1.8,
+  glens: 2.2,
+  glide: 3.4,
+  glims: 1.8,
+  glint: 2.5,
+  glitz: 2.1,
+  gloat: 3.2,
+  globe: 3.7,
+  globs: 2.4,
+  gloom: 3.1,
+  glory: 4.3,
+  gloss: 3.2,
+  glove: 4,
+  glows: 2.9,
+  glued: 3.4,
+  glues: 2.2,
+  gluey: 1.8,
+  gluon: 1.8,
+  gluts: 1.3,
+  glyph: 2,
+  gnash: 2,
+  gnats: 2.4,
+  gnaws: 2.1,
+  gnome: 2.8,
+  goals: 3.7,
+  goats: 3.4,
+  gobby: 2.1,
+  godly: 2.5,
+  gofer: 2.5,
+  going: 6.3,
+  golds: 2.1,
+  goldy: 2.6,
+  golem: 2.4,
+  golfs: 1.6,
+  golly: 3.7,
+  golpe: 1.3,
+  gomer: 2.6,
+  gonad: 2.3,
+  goner: 3.2,
+  gongs: 2.2,
+  gonif: 1.3,
+  gonna: 6.3,
+  gonzo: 3.3,
+  goods: 4.1,
+  goody: 3.6,
+  gooey: 2.9,
+  goofs: 2.1,
+  goofy: 3.7,
+  gooks: 3,
+  goons: 3.4,
+  goony: 2.2,
+  goops: 1.3,
+  goopy: 2,
+  goose: 4.1,
+  goosy: 1.6,
+  gored: 2.5,
+  gores: 1.6,
+  gorge: 3.1,
+  gorse: 2,
+  goths: 2.3,
+  gotta: 5.7,
+  gouge: 2.8,
+  gourd: 2.7,
+  gouts: 1.6,
+  gouty: 1.3,
+  gowns: 3.3,
+  goyim: 2.2,
+  goyle: 2.2,
+  grabs: 3.6,
+  grace: 4.6,
+  grade: 4.5,
+  grads: 2.1,
+  graff: 2.2,
+  graft: 3.2,
+  grail: 3.4,
+  grain: 3.7,
+  grama: 2.7,
+  gramp: 2.3,
+  grams: 3.9,
+  grand: 4.8,
+  grans: 1.9,
+  grant: 4.5,
+  grape: 3.6,
+  graph: 2.9,
+  grasp: 3.7,
+  grass: 4.2,
+  grate: 3,
+  grave: 4.4,
+  gravy: 3.7,
+  grays: 2.3,
+  graze: 2.9,
+  great: 5.9,
+  greed: 3.7,
+  greek: 4.1,
+  green: 4.9,
+  greet: 3.7,
+  grego: 1.8,
+  greys: 2.1,
+  grids: 2.8,
+  grief: 4,
+  griff: 3.4,
+  grift: 2.7,
+  grigs: 2,
+  grill: 3.6,
+  grime: 2.6,
+  grimy: 2.7,
+  grind: 3.6,
+  grins: 2.4,
+  gripe: 2.9,
+  grips: 3.1,
+  grist: 2,
+  grits: 3.2,
+  groan: 3,
+  groat: 1.8,
+  groin: 3.3,
+  groom: 3.9,
+  grope: 2.8,
+  gross: 4.2,
+  group: 4.9,
+  grout: 2.6,
+  grove: 3.6,
+  growl: 3,
+  grown: 4.4,
+  grows: 4,
+  grubs: 2.7,
+  gruel: 2.7,
+  gruff: 2.7,
+  grump: 2.5,
+  grunt: 3.3,
+  guano: 2.6,
+  guard: 4.8,
+  guava: 2.4,
+  guess: 5.7,
+  guest: 4.6,
+  guide: 4.3,
+  guild: 3.3,
+  guile: 3,
+  guilt: 4.2,
+  guiro: 1.3,
+  guise: 2.7,
+  gulag: 2.6,
+  gulch: 2.8,
+  gules: 1.3,
+  gulfs: 1.3,
+  gulls: 3,
+  gully: 3,
+  gulps: 2.4,
+  gumbo: 2.9,
+  gummy: 2.9,
+  gundy: 2.2,
+  gunky: 1.8,
+  gunny: 2.8,
+  guppy: 2.5,
+  gurdy: 2.3,
+  gurus: 2.3,
+  gushy: 2.1,
+  gussy: 2.1,
+  gusto: 3,
+  gusts: 2.3,
+  gusty: 2,
+  gutsy: 2.8,
+  gutty: 1.8,
+  gypsy: 3.8,
+  gyron: 1.8,
+  gyros: 2.1,
+  gyrus: 1.6,
+  habit: 4.2,
+  hable: 1.3,
+  habus: 1.3,
+  hacks: 2.8,
+  hades: 3.2,
+  hadji: 1.8,
+  hadst: 1.8,
+  hafiz: 1.9,
+  haiku: 2.7,
+  hails: 2.6,
+  haily: 1.3,
+  hairs: 3.7,
+  hairy: 3.8,
+  hajji: 1.3,
+  hakim: 2.8,
+  haler: 1.3,
+  hales: 2.8,
+  halfa: 2,
+  hallo: 3.1,
+  halls: 3.6,
+  halos: 2,
+  halts: 1.8,
+  halve: 2.1,
+  hames: 1.6,
+  hammy: 2.8,
+  hamza: 2.1,
+  hands: 5.4,
+  handy: 4.1,
+  hangs: 3.8,
+  hanks: 3.1,
+  hanky: 2.9,
+  hants: 2.1,
+  haole: 1.3,
+  haply: 2,
+  happy: 5.5,
+  hardy: 3.6,
+  harem: 2.9,
+  hares: 1.8,
+  harms: 2.4,
+  harps: 2.4,
+  harpy: 2.8,
+  harry: 4.9,
+  harsh: 3.9,
+  harts: 2.6,
+  hasta: 3.1,
+  haste: 3.3,
+  hasty: 3.5,
+  hatch: 4.1,
+  hated: 4.5,
+  hater: 2.8,
+  hates: 4.4,
+  hauls: 2.7,
+  hault: 1.3,
+  haunt: 3.6,
+  hause: 1.6,
+  haute: 2.7,
+  haven: 5.6,
+  haver: 2.2,
+  haves: 2.5,
+  havoc: 3.1,
+  hawed: 1.6,
+  hawks: 3.4,
+  hazed: 1.6,
+  hazel: 3,
+  heads: 4.6,
+  heady: 2.6,
+  heals: 3.1,
+  heaps: 2.7,
+  heard: 5.6,
+  hears: 4,
+  heart: 5.4,
+  heath: 3.3,
+  heats: 2.8,
+  heave: 3.6,
+  heavy: 4.7,
+  hedge: 3.2,
+  heels: 4,
+  hefty: 3.1,
+  heigh: 2.4,
+  heirs: 2.9,
+  heist: 3.5,
+  helio: 3.9,
+  helix: 2.6,
+  hello: 5.8,
+  hells: 2.7,
+  helms: 2,
+  helps: 4.3,
+  hence: 3.7,
+  henna: 2.3,
+  henny: 2.6,
+  henry: 4.9,
+  herbs: 3.4,
+  herby: 2.1,
+  herds: 2.9,
+  heres: 2,
+  herma: 1.3,
+  heron: 2.4,
+  heros: 2.2,
+  herry: 2.1,
+  hertz: 2.8,
+  heths: 1.3,
+  hewed: 1.6,
+  hexed: 1.9,
+  hexes: 2,
+  hicks: 3.6,
+  hides: 3.6,
+  highs: 2.8,
+  hight: 1.8,
+  hiked: 2.6,
+  hiker: 2.4,
+  hikes: 2.5,
+  hilar: 1.6,
+  hillo: 1.3,
+  hills: 4.3,
+  hilly: 3.1,
+  hilts: 2.7,
+  hilum: 2.1,
+  hinds: 1.8,
+  hinge: 2.8,
+  hints: 3.2,
+  hippo: 3.1,
+  hippy: 3,
+  hired: 4.5,
+  hires: 3.2,
+  hissy: 2.5,
+  hitch: 3.6,
+  hiver: 1.8,
+  hives: 3.1,
+  hoagy: 1.6,
+  hoard: 2.7,
+  hoary: 1.3,
+  hobby: 3.8,
+  hobos: 2.3,
+  hocks: 2.5,
+  hocus: 2.6,
+  hogan: 3.3,
+  hoggs: 1.3,
+  hoick: 1.3,
+  hoise: 1.3,
+  hoist: 3.3,
+  hokey: 2.8,
+  hokum: 1.9,
+  holds: 4.2,
+  holed: 3.3,
+  holes: 4.2,
+  holey: 2.1,
+  holla: 2.5,
+  hollo: 2.1,
+  holly: 4,
+  holms: 1.3,
+  holts: 1.3,
+  homed: 1.8,
+  homer: 3.8,
+  homes: 4.2,
+  homey: 3.5,
+  homie: 3.3,
+  homos: 2.9,
+  honda: 3,
+  honed: 2.5,
+  hones: 1.3,
+  honey: 5.5,
+  hongs: 2.4,
+  honks: 3.2,
+  honky: 3.2,
+  honor: 5,
+  hooch: 3,
+  hoods: 3.2,
+  hooey: 2.9,
+  hoofs: 2.4,
+  hooka: 1.3,
+  hooks: 3.6,
+  hooky: 2.9,
+  hooly: 1.3,
+  hoops: 3.4,
+  hoots: 2.8,
+  hoped: 4.2,
+  hoper: 1.6,
+  hopes: 4.2,
+  hoppy: 2.7,
+  horah: 1.3,
+  horde: 3.1,
+  horns: 3.8,
+  horny: 3.9,
+  horse: 5,
+  horst: 2.7,
+  horsy: 2.6,
+  hosed: 2.5,
+  hosel: 1.6,
+  hosen: 2,
+  hoses: 3,
+  hosta: 1.3,
+  hosts: 3.3,
+  hotch: 3.4,
+  hotel: 5,
+  hotly: 2.1,
+  hough: 1.6,
+  hound: 3.7,
+  hours: 5.3,
+  house: 5.7,
+  hovel: 2.7,
+  hover: 3.1,
+  howdy: 4.1,
+  howls: 3.1,
+  hubby: 3,
+  hucks: 1.3,
+  huffs: 2.2,
+  huffy: 2.6,
+  huger: 1.9,
+  hulas: 1.6,
+  hulks: 1.6,
+  hullo: 2.1,
+  hulls: 2.2,
+  human: 5.1,
+  humid: 2.9,
+  humor: 4.2,
+  humph: 2.6,
+  humps: 2.6,
+  humpy: 1.8,
+  humus: 1.8,
+  hunch: 3.9,
+  hunks: 2.5,
+  hunky: 2.9,
+  hunts: 3.1,
+  hurls: 2,
+  hurly: 2.4,
+  hurry: 5.2,
+  hurst: 2.7,
+  hurts: 4.6,
+  husks: 1.8,
+  husky: 3.2,
+  hussy: 3.1,
+  hutch: 3.6,
+  huzza: 1.3,
+  hydra: 2.7,
+  hydro: 2.4,
+  hyena: 3.1,
+  hylas: 2.2,
+  hymen: 2.7,
+  hymns: 3,
+  hynde: 1.3,
+  hyoid: 2.1,
+  hyped: 2.5,
+  hyper: 2.9,
+  hypes: 1.3,
+  hypos: 2.1,
+  hyrax: 1.6,
+  iambs: 1.3,
+  icily: 1.3,
+  icing: 3.1,
+  ickle: 1.3,
+  icons: 2.4,
+  ideal: 3.9,
+  ideas: 4.6,
+  ident: 2.5,
+  idiom: 2.4,
+  idiot: 4.8,
+  idled: 1.3,
+  idler: 2.1,
+  idles: 1.3,
+  idols: 2.7,
+  idyll: 1.6,
+  igloo: 2.5,
+  ihram: 1.3,
+  ileum: 2.3,
+  ileus: 1.6,
+  iliac: 2.1,
+  ilium: 2.2,
+  iller: 1.3,
+  image: 4.4,
+  imams: 1.3,
+  imbed: 1.6,
+  imbue: 2,
+  impel: 1.8,
+  imply: 3.4,
+  inane: 2.6,
+  inbox: 2,
+  incur: 2.7,
+  incus: 1.3,
+  index: 3.3,
+  india: 3.1,
+  indie: 2.7,
+  inept: 2.9,
+  inert: 2.5,
+  infer: 2.8,
+  infra: 1.6,
+  ingle: 1.6,
+  ingot: 1.6,
+  inked: 2.2,
+  inker: 1.6,
+  inlay: 2.4,
+  inlet: 2.7,
+  inner: 4,
+  innit: 3,
+  input: 3.5,
+  inset: 1.3,
+  intel: 3.8,
+  inter: 2.5,
+  intro: 3.3,
+  inure: 1.3,
+  ionic: 2.2,
+  irate: 2.8,
+  irked: 1.9,
+  irons: 3.3,
+  irony: 3.7,
+  isles: 2.3,
+  issue: 4.5,
+  itchy: 3.4,
+  items: 3.8,
+  ivies: 1.3,
+  ivory: 3.1,
+  izzat: 1.3,
+  jacks: 3.5,
+  jacky: 2.9,
+  jaded: 2.9,
+  jager: 2.2,
+  jails: 2.9,
+  jakes: 2,
+  jakey: 2.7,
+  jambo: 1.6,
+  jammy: 2.5,
+  janes: 2.4,
+  japan: 4.2,
+  japed: 1.3,
+  jaunt: 2.6,
+  javas: 1.3,
+  jawed: 2,
+  jazzy: 2.7,
+  jeans: 3.8,
+  jeeps: 2.9,
+  jeers: 2.2,
+  jefes: 1.3,
+  jello: 2.7,
+  jelly: 3.9,
+  jemmy: 2,
+  jenny: 4.3,
+  jerks: 3.6,
+  jerky: 3.4,
+  jerry: 4.8,
+  jests: 2.2,
+  jetes: 1.8,
+  jetty: 2.4,
+  jewel: 3.9,
+  jibed: 2.2,
+  jibes: 1.9,
+  jiffy: 3.2,
+  jiggy: 2.7,
+  jihad: 2.9,
+  jills: 1.3,
+  jimmy: 4.9,
+  jingo: 1.9,
+  jinks: 2.4,
+  jinni: 2.2,
+  jived: 1.3,
+  jives: 1.8,
+  jocko: 2.7,
+  jocks: 3.1,
+  joeys: 1.3,
+  johns: 3.3,
+  joins: 3.2,
+  joint: 4.4,
+  joist: 1.8,
+  joked: 2.6,
+  joker: 3.7,
+  jokes: 4.3,
+  jokey: 1.9,
+  jolly: 3.9,
+  jolts: 2,
+  jolty: 1.3,
+  jones: 4.5,
+  joule: 1.3,
+  jours: 1.9,
+  joust: 3.1,
+  jowls: 2.5,
+  jowly: 1.3,
+  joyed: 1.3,
+  judas: 3.7,
+  judge: 4.9,
+  juice: 4.4,
+  juicy: 3.6,
+  juked: 1.6,
+  jukes: 1.3,
+  julep: 2.5,
+  jumbo: 3.5,
+  jumps: 3.7,
+  jumpy: 3.5,
+  junco: 2.5,
+  junks: 2.2,
+  junky: 2.7,
+  junta: 2.6,
+  juror: 3.4,
+  jutes: 1.6,
+  jutty: 1.3,
+  kabob: 1.9,
+  kanae: 1.3,
+  kanga: 2.1,
+  kanji: 2,
+  kapok: 1.6,
+  kappa: 3,
+  kaput: 3,
+  karat: 2.2,
+  karma: 3.5,
+  karoo: 1.6,
+  karst: 2.5,
+  karts: 1.8,
+  kasha: 1.9,
+  kayak: 2.7,
+  kazoo: 2.8,
+  kebab: 2.8,
+  kebob: 1.3,
+  keeks: 1.3,
+  keels: 2.1,
+  keens: 1.3,
+  keeps: 4.7,
+  keets: 1.3,
+  kelly: 4.8,
+  kendo: 2.6,
+  kente: 1.3,
+  kerns: 1.6,
+  kesar: 1.6,
+  ketch: 2.2,
+  keyed: 2.9,
+  khaki: 2.9,
+  kiang: 2.2,
+  kicks: 3.9,
+  kiddo: 3.9,
+  kiddy: 2.5,
+  kikes: 2.4,
+  kiley: 2.1,
+  kilim: 1.8,
+  kills: 4.3,
+  kilos: 3.3,
+  kilts: 1.8,
+  kimbo: 1.6,
+  kinda: 4.6,
+  kinds: 4.3,
+  kines: 1.3,
+  kings: 4,
+  kinks: 2.9,
+  kinky: 3.5,
+  kinos: 1.3,
+  kiosk: 2.7,
+  kirby: 3.8,
+  kirks: 1.3,
+  kissy: 2.6,
+  kited: 1.3,
+  kiter: 1.3,
+  kites: 2.8,
+  kitty: 4.4,
+  kiwis: 2.1,
+  klick: 2.3,
+  klutz: 3,
+  knack: 3.4,
+  knave: 2.6,
+  knead: 2.2,
+  kneed: 2.4,
+  kneel: 3.7,
+  knees: 4.4,
+  knell: 2.4,
+  knelt: 2.6,
+  knife: 4.7,
+  knish: 2.5,
+  knits: 2.2,
+  knobs: 3,
+  knock: 4.8,
+  knoll: 2.7,
+  knots: 3.7,
+  knowe: 1.3,
+  known: 5.1,
+  knows: 5.4,
+  koala: 2.8,
+  kofta: 1.3,
+  kokam: 1.6,
+  kolas: 1.6,
+  kooks: 2.6,
+  kooky: 2.8,
+  korma: 1.8,
+  kraal: 1.3,
+  kraft: 2.9,
+  kraut: 3.2,
+  krill: 2.2,
+  krone: 1.3,
+  kudos: 2.9,
+  kudzu: 2,
+  kugel: 2.1,
+  kurta: 1.6,
+  kylie: 2.7,
+  kyrie: 2,
+  label: 3.8,
+  labia: 2.4,
+  labor: 4.1,
+  laced: 3,
+  laces: 2.9,
+  lacey: 3.4,
+  lacks: 3.3,
+  laden: 3.2,
+  lades: 1.6,
+  ladle: 2.9,
+  lager: 2.7,
+  laird: 3.1,
+  lairs: 1.9,
+  lairy: 1.6,
+  laker: 2.8,
+  lakes: 3.3,
+  lakhs: 1.3,
+  lamas: 2.3,
+  lambs: 3.2,
+  lamby: 1.8,
+  lamed: 1.6,
+  lamer: 1.8,
+  lames: 1.8,
+  lamia: 2.2,
+  lamps: 3.3,
+  lanai: 2.1,
+  lance: 4,
+  lands: 3.8,
+  lanes: 3.3,
+  lanky: 2.6,
+  lapel: 2.7,
+  lapis: 2.1,
+  lapse: 3.1,
+  larch: 2.1,
+  lards: 1.3,
+  lares: 1.8,
+  large: 4.6,
+  largo: 3,
+  larks: 2.4,
+  larva: 2.4,
+  laser: 3.9,
+  lasso: 2.9,
+  lasts: 3.7,
+  latch: 3.3,
+  lated: 1.6,
+  later: 5.5,
+  latex: 3.2,
+  lathe: 2.5,
+  latke: 1.6,
+  latte: 3.4,
+  lauds: 1.6,
+  laugh: 4.8,
+  laura: 4.5,
+  laver: 1.8,
+  lawks: 1.3,
+  lawns: 3,
+  layer: 3.6,
+  layup: 2.2,
+  lazar: 2.5,
+  lazed: 1.3,
+  leach: 2.9,
+  leads: 4.3,
+  leafs: 1.8,
+  leafy: 2.7,
+  leaks: 3.3,
+  leaky: 3,
+  leans: 3,
+  leant: 1.6,
+  leaps: 3.1,
+  leapt: 2.9,
+  learn: 5.1,
+  lears: 1.3,
+  leary: 3.3,
+  lease: 3.8,
+  leash: 3.6,
+  least: 5.3,
+  leave: 5.7,
+  leavy: 1.3,
+  ledge: 3.5,
+  leech: 3.2,
+  leeks: 1.8,
+  leers: 1.3,
+  leery: 3.5,
+  lefts: 2.9,
+  lefty: 3.5,
+  legal: 4.6,
+  leger: 2.2,
+  leggy: 2.3,
+  legit: 3.4,
+  lehua: 2.2,
+  lemma: 1.3,
+  lemon: 4.1,
+  lemur: 2.2,
+  lends: 2.7,
+  lense: 1.8,
+  lento: 1.6,
+  leone: 3.1,
+  leper: 3.1,
+  letch: 2.3,
+  lethe: 1.6,
+  letup: 1.3,
+  levee: 2.7,
+  level: 4.7,
+  lever: 3.5,
+  levin: 2.8,
+  lewis: 4.3,
+  lexis: 2.1,
+  liana: 2.1,
+  liane: 2.3,
+  liang: 3.2,
+  liars: 3.6,
+  libel: 3,
+  liber: 1.6,
+  libra: 2.6,
+  libri: 1.8,
+  licks: 3,
+  liege: 3,
+  liens: 1.9,
+  lifer: 2.8,
+  lifts: 3.4,
+  liger: 1.6,
+  light: 5.2,
+  ligne: 1.3,
+  liked: 4.9,
+  liken: 1.8,
+  likes: 4.9,
+  likin: 2.5,
+  lilac: 2.9,
+  lilts: 1.3,
+  liman: 1.6,
+  limas: 1.3,
+  limbo: 3.4,
+  limbs: 3.4,
+  limed: 1.3,
+  limes: 2.7,
+  limey: 2.9,
+  limit: 4.1,
+  limos: 2.8,
+  limps: 1.9,
+  linch: 1.3,
+  lindy: 2.9,
+  lined: 3.8,
+  linen: 3.5,
+  liner: 3.1,
+  lines: 4.6,
+  lingo: 3.1,
+  lings: 1.3,
+  linin: 2.2,
+  links: 3.4,
+  linky: 1.6,
+  linty: 1.6,
+  lions: 3.8,
+  lipid: 1.8,
+  lippy: 1.8,
+  liras: 1.3,
+  lisle: 2.2,
+  lisps: 1.3,
+  lists: 3.6,
+  liter: 3.2,
+  lites: 1.3,
+  lithe: 1.6,
+  litho: 1.3,
+  litre: 2,
+  lived: 4.8,
+  liven: 3,
+  liver: 4.2,
+  lives: 5.1,
+  livid: 2.6,
+  livor: 1.6,
+  livre: 2.3,
+  llama: 3.1,
+  llano: 1.8,
+  loach: 2.7,
+  loads: 3.6,
+  loafs: 1.6,
+  loans: 3.4,
+  loath: 2,
+  loave: 1.3,
+  lobar: 1.3,
+  lobby: 4.1,
+  lobes: 2.8,
+  lobos: 1.8,
+  local: 4.6,
+  loche: 1.3,
+  locks: 3.8,
+  locos: 2.3,
+  locum: 2.1,
+  locus: 2.5,
+  loden: 1.3,
+  lodge: 3.8,
+  lofts: 2.2,
+  lofty: 2.9,
+  logan: 4.4,
+  logic: 3.8,
+  login: 2.1,
+  logon: 1.6,
+  logos: 2.5,
+  loins: 3.1,
+  lolls: 1.3,
+  lolly: 2.3,
+  loner: 3.5,
+  longe: 1.3,
+  longs: 3,
+  looey: 1.8,
+  loofa: 2.2,
+  looks: 5.5,
+  looky: 3.3,
+  looms: 2.6,
+  loons: 2.5,
+  loony: 3.4,
+  loops: 3.1,
+  loopy: 2.8,
+  loose: 4.6,
+  loots: 1.3,
+  lopes: 1.3,
+  lords: 3.5,
+  lordy: 3.3,
+  lorel: 2.5,
+  loris: 1.3,
+  lorry: 3.1,
+  loser: 4.4,
+  loses: 4,
+  lotto: 3.2,
+  lotus: 3.3,
+  lough: 1.3,
+  louie: 4,
+  louis: 4.4,
+  loupe: 1.6,
+  louse: 3.2,
+  lousy: 4.4,
+  louts: 1.9,
+  lovat: 1.8,
+  loved: 5,
+  lover: 4.4,
+  loves: 4.9,
+  lovey: 3,
+  lower: 4.4,
+  lowly: 3.2,
+  lowry: 2.9,
+  loxed: 1.3,
+  loyal: 4.1,
+  luaus: 1.3,
+  lubed: 1.9,
+  lubes: 1.3,
+  luces: 1.3,
+  lucid: 3.1,
+  lucks: 2,
+  lucky: 5.2,
+  lucre: 2.1,
+  luger: 3,
+  luges: 1.3,
+  lulls: 2.4,
+  lumen: 1.8,
+  lumme: 1.3,
+  lummy: 1.6,
+  lumps: 3.2,
+  lumpy: 3.2,
+  lunar: 3.3,
+  lunas: 1.6,
+  lunch: 5,
+  lunge: 2.7,
+  lungs: 4,
+  lunts: 1.3,
+  lupin: 2.1,
+  lupus: 3.2,
+  lurch: 2.9,
+  lured: 3.2,
+  lures: 2.7,
+  lurid: 2.8,
+  lurks: 2.8,
+  lusts: 2.3,
+  lusty: 2.8,
+  lutes: 2,
+  lying: 4.9,
+  lymph: 2.4,
+  lynch: 3.7,
+  lyric: 3,
+  lysed: 1.3,
+  lysis: 1.6,
+  lysol: 2.5,
+  lyssa: 1.9,
+  lytic: 1.3,
+  macaw: 2.4,
+  maced: 2.3,
+  macer: 2.2,
+  maces: 1.6,
+  macho: 3.6,
+  macro: 2.7,
+  madam: 4.6,
+  madge: 3.2,
+  madly: 3.5,
+  mafia: 3.7,
+  mages: 2.4,
+  magic: 4.7,
+  magma: 2.5,
+  magus: 2.1,
+  maids: 3.4,
+  mails: 2.6,
+  mains: 2.4,
+  maize: 2.2,
+  major: 5,
+  maker: 3.7,
+  makes: 5.4,
+  makos: 1.3,
+  malar: 1.6,
+  males: 3.4,
+  malik: 3.5,
+  malls: 3.1,
+  malts: 2.2,
+  mamas: 2.8,
+  mamba: 2.5,
+  mambo: 3.4,
+  mamie: 3,
+  mamma: 3.5,
+  mammy: 3.4,
+  mandi: 1.9,
+  manes: 1.6,
+  manet: 2.4,
+  manga: 2.3,
+  mange: 2.3,
+  mango: 3.2,
+  mangy: 3.2,
+  mania: 3,
+  manic: 3.1,
+  manky: 2,
+  manly: 3.6,
+  manna: 2.7,
+  manor: 3.5,
+  manos: 2.1,
+  manse: 1.6,
+  manta: 2.5,
+  manto: 1.3,
+  manty: 2.9,
+  manus: 1.6,
+  maple: 3.5,
+  march: 4.4,
+  mardy: 1.3,
+  mares: 2.6,
+  marge: 3.6,
+  maria: 4.4,
+  marks: 4.3,
+  marly: 1.6,
+  maror: 1.3,
+  marry: 5,
+  marse: 1.8,
+  marsh: 3.5,
+  marts: 1.8,
+  marvy: 2.1,
+  maser: 2.4,
+  masks: 3.8,
+  mason: 4.1,
+  massa: 3.1,
+  masse: 2.4,
+  masts: 2.2,
+  match: 4.7,
+  mated: 2.6,
+  mater: 3.2,
+  mates: 3.7,
+  matey: 3.1,
+  maths: 2.1,
+  matte: 2.4,
+  matza: 1.6,
+  matzo: 3,
+  mauls: 1.6,
+  mauve: 2.7,
+  maven: 2,
+  mavin: 1.3,
+  mavis: 3.2,
+  maxed: 2.8,
+  maxes: 1.8,
+  maxim: 3.1,
+  maxis: 2.1,
+  maybe: 6,
+  mayor: 4.5,
+  mayst: 2,
+  mazes: 2,
+  meads: 1.6,
+  meals: 3.9,
+  mealy: 2.2,
+  means: 5.3,
+  meant: 5,
+  meany: 2.4,
+  meath: 1.3,
+  meats: 2.9,
+  meaty: 2.5,
+  mecca: 3.2,
+  medal: 4.1,
+  media: 4.3,
+  medic: 3.8,
+  meets: 4,
+  melba: 2.6,
+  melee: 2.4,
+  melon: 3.6,
+  melts: 3.3,
+  memos: 2.9,
+  mends: 2.1,
+  mensa: 2.5,
+  menus: 3.3,
+  meows: 2.6,
+  merch: 2.5,
+  mercy: 4.4,
+  mered: 1.3,
+  merge: 3.1,
+  merit: 3.5,
+  merle: 2.8,
+  merry: 4.6,
+  mesas: 1.9,
+  meson: 1.6,
+  messy: 3.8,
+  metal: 4.3,
+  meted: 2.3,
+  meter: 3.8,
+  metis: 1.3,
+  metre: 2.4,
+  metro: 3.7,
+  mewed: 1.3,
+  mezzo: 1.8,
+  miaow: 1.8,
+  micas: 1.3,
+  miche: 1.3,
+  micks: 2.5,
+  micky: 3,
+  micro: 2.8,
+  middy: 1.8,
+  midge: 3.3,
+  midis: 1.3,
+  midst: 3.5,
+  might: 5.7,
+  miked: 2.1,
+  mikes: 2.9,
+  milch: 1.3,
+  miler: 1.6,
+  miles: 4.9,
+  milko: 1.3,
+  milks: 2.2,
+  milky: 3.3,
+  mille: 2.8,
+  mills: 3.6,
+  milos: 2.2,
+  milpa: 1.8,
+  milty: 2.1,
+  mimed: 2,
+  mimeo: 1.9,
+  mimes: 2.5,
+  mimic: 2.9,
+  mimsy: 1.8,
+  minae: 1.8,
+  minas: 2.5,
+  mince: 2.7,
+  minds: 4.3,
+  mined: 2.9,
+  miner: 3.2,
+  mines: 3.8,
+  minge: 1.6,
+  minim: 1.6,
+  minis: 1.6,
+  minks: 2.2,
+  minny: 1.9,
+  minor: 4.1,
+  minos: 2.2,
+  mints: 3.2,
+  minty: 2.7,
+  minus: 3.9,
+  mired: 2.4,
+  mirth: 2.3,
+  mirza: 2.1,
+  miser: 2.7,
+  missa: 1.3,
+  missy: 3.9,
+  mists: 2.5,
+  misty: 3.2,
+  mitch: 4.3,
+  miter: 2.7,
+  mites: 2.6,
+  mitre: 1.6,
+  mitts: 3,
+  mixed: 4.3,
+  mixer: 3,
+  mixes: 2.8,
+  mixup: 1.3,
+  moans: 3.3,
+  moats: 1.8,
+  mocha: 3.1,
+  mocks: 2.7,
+  model: 4.5,
+  modem: 3,
+  modes: 2.5,
+  modus: 2.6,
+  mogul: 3,
+  mohel: 2.1,
+  moire: 1.3,
+  moist: 3.3,
+  mojos: 1.3,
+  molar: 2.7,
+  molas: 1.3,
+  molds: 2.6,
+  moldy: 2.8,
+  moles: 2.9,
+  molls: 1.3,
+  molly: 4.2,
+  momma: 3.9,
+  mommy: 4.9,
+  monde: 2.2,
+  mondo: 3,
+  money: 5.8,
+  mongo: 2.9,
+  monic: 1.6,
+  monks: 3.4,
+  monos: 2.5,
+  monte: 3.7,
+  month: 5,
+  mooch: 2.9,
+  moods: 3.3,
+  moody: 3.4,
+  mooed: 1.3,
+  moola: 2.2,
+  moons: 3.4,
+  moony: 1.6,
+  moors: 3,
+  moose: 3.7,
+  moped: 2.7,
+  mopes: 2.6,
+  mopey: 2.8,
+  mopsy: 2.1,
+  moral: 4.1,
+  moray: 2.7,
+  morel: 1.3,
+  mores: 2.9,
+  moron: 4.2,
+  morph: 2.9,
+  morse: 3.4,
+  mosey: 2.8,
+  mossy: 1.6,
+  motel: 4.3,
+  motes: 1.3,
+  motet: 1.3,
+  moths: 3,
+  mothy: 1.3,
+  motif: 2.8,
+  motor: 4.1,
+  motte: 1.3,
+  motto: 3.7,
+  mould: 2.9,
+  mound: 3.2,
+  mount: 4.1,
+  mourn: 3.4,
+  mouse: 4.3,
+  mousy: 2.9,
+  mouth: 5,
+  moved: 4.8,
+  mover: 2.7,
+  moves: 4.4,
+  movie: 5.1,
+  mowed: 2.8,
+  mower: 3.2,
+  moxie: 2.9,
+  mucks: 1.9,
+  mucky: 2.2,
+  mucor: 1.3,
+  mucus: 2.8,
+  muddy: 3.5,
+  mudra: 1.3,
+  muffs: 1.6,
+  muggy: 2,
+  mulch: 2.6,
+  mules: 3.4,
+  muley: 2.2,
+  mumms: 1.3,
+  mummy: 4,
+  mumps: 3.1,
+  mumsy: 2.4,
+  munch: 2.9,
+  mungo: 2,
+  mural: 3,
+  murky: 2.8,
+  murry: 2.1,
+  mused: 1.9,
+  muses: 2.7,
+  mushy: 3.2,
+  music: 5.2,
+  musky: 2.1,
+  mussy: 1.3,
+  musts: 1.3,
+  musty: 2.7,
+  muted: 2.6,
+  mutes: 1.9,
+  mutts: 2.7,
+  muzak: 2.2,
+  muzzy: 1.8,
+  mylar: 2,
+  mynah: 2.6,
+  myrrh: 2.4,
+  myths: 3.1,
+  nabob: 1.3,
+  nacho: 3.1,
+  nadir: 2.5,
+  naggy: 1.3,
+  naiad: 1.6,
+  nails: 4,
+  naira: 1.3,
+  naive: 3.8,
+  naked: 4.6,
+  named: 4.8,
+  names: 4.7,
+  nanas: 1.3,
+  nance: 2.9,
+  nancy: 4.3,
+  nanny: 4,
+  napoo: 1.3,
+  nappy: 2.9,
+  narco: 2.5,
+  narcs: 2.4,
+  nards: 1.6,
+  narky: 1.3,
+  nasal: 3.3,
+  nasty: 4.4,
+  natal: 2,
+  natch: 2.2,
+  natty: 2.4,
+  naval: 3.8,
+  navel: 3.1,
+  nawab: 1.6,
+  nazis: 3.7,
+  nears: 2.2,
+  neath: 2.8,
+  necks: 3.5,
+  neddy: 3,
+  needs: 5.2,
+  needy: 3.5,
+  neeze: 1.3,
+  negro: 3.7,
+  negus: 1.6,
+  neigh: 2.4,
+  nelly: 3.1,
+  neons: 2,
+  nerds: 3.3,
+  nerdy: 2.7,
+  nerka: 2.1,
+  nerts: 2.2,
+  nertz: 1.6,
+  nerve: 4.4,
+  nervy: 2.2,
+  nests: 2.7,
+  never: 6.1,
+  nevus: 1.3,
+  newel: 1.8,
+  newer: 3,
+  newly: 3.4,
+  newsy: 1.6,
+  nexus: 3,
+  ngaio: 1.3,
+  nicer: 3.9,
+  niche: 3,
+  nicks: 2.8,
+  nidal: 1.6,
+  niece: 4,
+  nifty: 3.1,
+  night: 5.9,
+  nines: 3,
+  ninja: 3.4,
+  ninny: 2.9,
+  ninth: 3.8,
+  nippy: 3,
+  nisei: 1.8,
+  nitre: 1.3,
+  nitro: 3.2,
+  nitty: 1.6,
+  nixed: 2.2,
+  nobby: 1.6,
+  noble: 4.2,
+  nobly: 2.6,
+  nodal: 1.3,
+  nodes: 2.7,
+  nohow: 2.6,
+  noise: 4.5,
+  noisy: 3.7,
+  nomad: 2.7,
+  nomen: 1.6,
+  nomic: 1.3,
+  nonce: 1.8,
+  nonny: 3,
+  nooks: 2.3,
+  nooky: 1.9,
+  noons: 2.4,
+  noose: 3.3,
+  norma: 3.6,
+  norms: 2.5,
+  north: 4.8,
+  nosed: 1.8,
+  noses: 3.7,
+  nosey: 2.8,
+  notch: 3.5,
+  noted: 3.7,
+  notes: 4.4,
+  nouns: 2.4,
+  novae: 1.3,
+  novel: 4,
+  noway: 1.3,
+  nubby: 1.3,
+  nuddy: 1.3,
+  nudes: 2.8,
+  nudge: 3,
+  nudie: 3,
+  nuked: 2.4,
+  nukes: 3.3,
+  numbs: 2.2,
+  nurse: 4.7,
+  nutsy: 2.3,
+  nutty: 3.6,
+  nylon: 3.1,
+  nymph: 2.9,
+  oaken: 1.6,
+  oakum: 1.9,
+  oasis: 3.3,
+  oaths: 2.6,
+  obeah: 2.2,
+  obese: 2.7,
+  obeys: 2.6,
+  obits: 2.4,
+  objet: 1.9,
+  oboes: 1.6,
+  occur: 3.9,
+  ocean: 4.5,
+  octet: 1.3,
+  odder: 1.6,
+  oddly: 3.3,
+  odeon: 2.1,
+  odors: 2.5,
+  odour: 2.7,
+  offal: 2.2,
+  offed: 2.7,
+  offer: 4.9,
+  often: 4.8,
+  ogled: 2,
+  ogres: 2.7,
+  ohing: 1.3,
+  oiled: 2.8,
+  oiler: 2.1,
+  oinks: 1.6,
+  okays: 2.1,
+  olden: 3,
+  older: 4.6,
+  oldie: 2.7,
+  oleic: 2.4,
+  oleos: 1.3,
+  olive: 3.9,
+  ology: 1.9,
+  omega: 3.2,
+  omens: 2.9,
+  onion: 3.6,
+  onset: 2.9,
+  oohed: 1.3,
+  oomph: 2.8,
+  oozed: 1.9,
+  oozes: 2.3,
+  opals: 2,
+  opens: 4.2,
+  opera: 4.2,
+  opine: 2.1,
+  opium: 3.3,
+  opted: 2.6,
+  optic: 3,
+  orals: 1.3,
+  orang: 2,
+  orate: 1.6,
+  orbed: 2.7,
+  orbit: 3.8,
+  orcas: 2,
+  order: 5.2,
+  organ: 3.9,
+  orlop: 1.8,
+  ormer: 1.3,
+  orris: 1.3,
+  ortho: 2.7,
+  oscar: 4.3,
+  other: 5.9,
+  otter: 3.1,
+  ought: 4.9,
+  ouija: 2.6,
+  ounce: 3.6,
+  ousts: 1.3,
+  outdo: 2.7,
+  outed: 2.4,
+  outer: 4,
+  outgo: 1.3,
+  outta: 4.8,
+  ovary: 2.7,
+  ovens: 2.8,
+  overs: 2.1,
+  overt: 2.4,
+  ovoid: 1.6,
+  owing: 3.1,
+  owlet: 1.3,
+  owned: 4.1,
+  owner: 4.4,
+  oxbow: 1.6,
+  oxide: 3.1,
+  ozone: 3.3,
+  pacas: 1.3,
+  paced: 2.4,
+  pacer: 2.4,
+  paces: 3.2,
+  pacey: 4.2,
+  pacha: 2.5,
+  packs: 3.7,
+  pacts: 2.2,
+  paddy: 3.4,
+  padre: 3.6,
+  paean: 1.8,
+  pagan: 3.1,
+  paged: 3.4,
+  pager: 3.5,
+  pages: 4.1,
+  pails: 2.1,
+  pains: 3.7,
+  paint: 4.6,
+  pairs: 3.6,
+  paise: 1.8,
+  paled: 1.8,
+  paler: 2.4,
+  pales: 2.3,
+  pally: 3,
+  palms: 3.6,
+  palmy: 1.6,
+  palps: 1.3,
+  palsy: 2.7,
+  panda: 3.3,
+  pandy: 1.6,
+  panel: 3.9,
+  panes: 1.8,
+  pangs: 2.5,
+  panic: 4.3,
+  pansy: 3.3,
+  panto: 2.3,
+  pants: 4.8,
+  panty: 3,
+  paolo: 3.2,
+  papal: 2.7,
+  papas: 2.2,
+  papaw: 1.9,
+  paper: 5,
+  pappy: 3.5,
+  paras: 1.6,
+  parch: 1.6,
+  pards: 1.3,
+  pared: 1.6,
+  paren: 1.6,
+  pares: 1.3,
+  pargo: 1.3,
+  parka: 2.8,
+  parks: 3.6,
+  parky: 2.1,
+  parle: 2.1,
+  parma: 2.5,
+  parol: 1.8,
+  parry: 3.2,
+  parse: 2.1,
+  parti: 1.3,
+  parts: 4.5,
+  party: 5.4,
+  paseo: 1.8,
+  pasha: 2.7,
+  passe: 2.4,
+  pasta: 3.6,
+  paste: 3.2,
+  pasts: 2.3,
+  pasty: 2.8,
+  patch: 4.2,
+  pater: 2.3,
+  paths: 3.6,
+  patin: 1.6,
+  patio: 3.4,
+  patsy: 3.6,
+  patty: 4,
+  pause: 3.7,
+  paved: 2.9,
+  paver: 1.3,
+  paves: 1.6,
+  pavin: 1.3,
+  pawed: 2.3,
+  pawns: 2.9,
+  payed: 2.3,
+  payer: 2.2,
+  peace: 4.8,
+  peach: 3.8,
+  peaks: 3.2,
+  peaky: 1.6,
+  peans: 1.3,
+  pearl: 4.2,
+  pears: 3,
+  peart: 1.6,
+  pease: 2,
+  peaty: 1.3,
+  pecan: 3,
+  pecks: 2.4,
+  pedal: 3.3,
+  pedes: 3.3,
+  peeks: 2.2,
+  peels: 2.8,
+  peeps: 2.8,
+  peers: 3.2,
+  peeve: 2.2,
+  peggy: 4.2,
+  pekoe: 1.3,
+  pelts: 2.6,
+  penal: 3.1,
+  pence: 2.8,
+  pengo: 1.8,
+  penis: 4.1,
+  penna: 1.3,
+  penni: 1.3,
+  penny: 4.4,
+  peons: 2.3,
+  peony: 1.6,
+  peppy: 2.8,
+  pepsi: 3.3,
+  perch: 3,
+  perdu: 2.1,
+  perdy: 3.1,
+  peril: 3.3,
+  perks: 3.2,
+  perky: 3.2,
+  perms: 1.6,
+  perry: 3.9,
+  perse: 1.6,
+  pervs: 2.2,
+  pesky: 3,
+  pesos: 3.3,
+  pesto: 2.7,
+  pests: 2.5,
+  petal: 2.9,
+  peter: 5,
+  petit: 3,
+  petri: 2.6,
+  petto: 2.4,
+  petty: 3.9,
+  phage: 1.3,
+  phase: 4.1,
+  phial: 1.8,
+  phlox: 2.7,
+  phone: 5.4,
+  phono: 1.6,
+  phony: 3.9,
+  photo: 4.4,
+  phyla: 1.3,
+  piano: 4.4,
+  picas: 1.3,
+  picks: 4,
+  picky: 3.3,
+  piece: 5.1,
+  piers: 2.5,
+  pieta: 1.6,
+  piety: 2.8,
+  piggy: 3.6,
+  pigmy: 1.9,
+  piker: 2.3,
+  pikes: 2.4,
+  pilaf: 2.3,
+  pilar: 3.2,
+  pilch: 2.1,
+  piled: 3.2,
+  piles: 3.3,
+  pilis: 2.2,
+  pills: 4.4,
+  pilot: 4.4,
+  pimps: 3.1,
+  pinch: 3.8,
+  pined: 2,
+  pines: 3.1,
+  piney: 2.2,
+  pingo: 2.4,
+  pings: 2.4,
+  pinko: 2.7,
+  pinks: 2.4,
+  pinky: 3.7,
+  pinon: 1.6,
+  pinot: 2.8,
+  pinta: 2.3,
+  pinto: 2.9,
+  pints: 3.1,
+  pinup: 2.7,
+  pions: 1.6,
+  pious: 3,
+  pipal: 1.8,
+  piped: 2.4,
+  piper: 4.5,
+  pipes: 3.9,
+  pippy: 2.1,
+  pique: 2.4,
+  pisco: 1.3,
+  piste: 1.3,
+  pitas: 1.3,
+  pitch: 4.2,
+  pithy: 2.6,
+  piton: 2.1,
+  pivot: 2.7,
+  pixel: 2.1,
+  pixie: 2.9,
+  pizza: 4.5,
+  place: 5.8,
+  plaid: 3.2,
+  plain: 4.3,
+  plait: 2.7,
+  plane: 5,
+  plank: 3.3,
+  plans: 4.7,
+  plant: 4.4,
+  plash: 2,
+  plasm: 1.6,
+  plate: 4.4,
+  playa: 2.6,
+  plays: 4.5,
+  plaza: 3.8,
+  plead: 3.8,
+  pleas: 2.6,
+  pleat: 1.8,
+  plebe: 2.7,
+  plebs: 1.3,
+  plena: 1.3,
+  plied: 2.1,
+  plies: 1.8,
+  plink: 2.5,
+  plods: 1.6,
+  plonk: 1.8,
+  plops: 1.8,
+  plots: 3.2,
+  plows: 2.6,
+  ploys: 1.3,
+  pluck: 3.4,
+  plugs: 3.3,
+  plumb: 3.2,
+  plume: 2.7,
+  plump: 3.2,
+  plums: 3,
+  plunk: 2.1,
+  plush: 2.7,
+  pluto: 3.5,
+  plyer: 1.3,
+  poach: 2.5,
+  pocks: 1.3,
+  podge: 1.8,
+  podgy: 2.1,
+  poems: 3.7,
+  poets: 3.4,
+  pogey: 1.3,
+  point: 5.4,
+  poise: 3,
+  poked: 3.1,
+  poker: 4.2,
+  pokes: 2.6,
+  pokey: 3,
+  pokie: 1.3,
+  polar: 3.4,
+  poles: 3.3,
+  polio: 2.9,
+  polje: 1.8,
+  polka: 3.4,
+  polls: 3.3,
+  polly: 3.8,
+  polyp: 2.4,
+  polys: 1.3,
+  pomes: 1.3,
+  pommy: 1.6,
+  pomps: 1.8,
+  ponce: 2.7,
+  ponds: 2.6,
+  pongo: 3.4,
+  pongs: 1.3,
+  pooch: 3.1,
+  pooed: 1.6,
+  poofs: 2.2,
+  pooka: 2.7,
+  pools: 3.4,
+  poops: 2.5,
+  popes: 2.5,
+  poppa: 2.9,
+  poppy: 3.6,
+  popsy: 2,
+  porch: 4,
+  pored: 1.8,
+  pores: 3.2,
+  porgy: 2.1,
+  porky: 2.8,
+  porno: 3.7,
+  porta: 2.1,
+  ports: 3.3,
+  posed: 3.3,
+  poser: 2.5,
+  poses: 3.3,
+  posey: 2.7,
+  posho: 1.3,
+  posit: 2.1,
+  posse: 3.6,
+  posts: 3.4,
+  potch: 1.3,
+  potsy: 1.8,
+  potto: 1.3,
+  potty: 3.2,
+  pouch: 3.2,
+  pouff: 1.3,
+  pound: 4.1,
+  pours: 3.2,
+  pouts: 2,
+  pouty: 2.8,
+  power: 5.2,
+  prana: 1.3,
+  prank: 3.6,
+  prate: 1.6,
+  prats: 1.3,
+  prawn: 2.7,
+  prays: 3,
+  preed: 2.5,
+  preen: 1.8,
+  preps: 1.6,
+  press: 4.8,
+  prexy: 1.3,
+  preys: 2.4,
+  price: 4.7,
+  prick: 4.1,
+  pricy: 1.9,
+  pride: 4.4,
+  pried: 2.5,
+  pries: 1.9,
+  prigs: 1.6,
+  prill: 1.6,
+  prima: 3.3,
+  prime: 4.3,
+  primo: 3.2,
+  primp: 2.1,
+  print: 4.3,
+  prior: 3.9,
+  prise: 1.3,
+  prism: 2.9,
+  priss: 2.4,
+  privy: 3.2,
+  prize: 4.4,
+  probe: 3.6,
+  prods: 2.4,
+  profs: 1.6,
+  prole: 1.6,
+  promo: 2.8,
+  proms: 2.5,
+  prone: 3.3,
+  prong: 2.5,
+  proof: 4.5,
+  props: 3.5,
+  prose: 3,
+  pross: 2,
+  prosy: 1.3,
+  proto: 1.8,
+  proud: 4.9,
+  prove: 4.8,
+  prowl: 3.1,
+  proxy: 3,
+  prude: 3.1,
+  prune: 3.2,
+  psalm: 2.7,
+  pshaw: 2,
+  psych: 3.8,
+  pubes: 2.7,
+  pubic: 3.1,
+  pubis: 2.4,
+  pucks: 2.2,
+  puddy: 2.2,
+  pudge: 2.2,
+  pudgy: 2.8,
+  puffs: 3.4,
+  puffy: 3.2,
+  puggy: 1.9,
+  puked: 2.9,
+  puker: 1.9,
+  pukes: 2.5,
+  pukka: 1.9,
+  pulis: 1.6,
+  pulls: 3.9,
+  pulps: 1.3,
+  pulpy: 1.8,
+  pulse: 4.4,
+  pumas: 1.8,
+  pumps: 3.6,
+  punch: 4.5,
+  punks: 3.6,
+  punky: 2.5,
+  punny: 1.6,
+  punto: 1.3,
+  punts: 1.3,
+  pupae: 1.6,
+  pupal: 2.1,
+  pupas: 1.6,
+  pupil: 3.5,
+  puppy: 4.1,
+  puree: 2.2,
+  purer: 2.5,
+  purge: 3.2,
+  purrs: 2.4,
+  purse: 4.3,
+  purty: 2.3,
+  pushy: 3.4,
+  pussy: 4.4,
+  putti: 1.6,
+  putts: 2,
+  putty: 3.3,
+  pygal: 1.3,
+  pygmy: 2.8,
+  pylon: 2.7,
+  pyres: 1.6,
+  pyrex: 1.3,
+  quack: 3.7,
+  quads: 2.4,
+  quaff: 1.9,
+  quail: 3.1,
+  quake: 3.2,
+  quale: 2.2,
+  qualm: 1.6,
+  quant: 1.8,
+  quark: 3,
+  quart: 3.3,
+  quash: 2.3,
+  quasi: 2.7,
+  queen: 4.7,
+  queer: 3.8,
+  quell: 2.5,
+  query: 2.8,
+  quest: 3.8,
+  queue: 3.1,
+  quick: 5,
+  quids: 1.8,
+  quiet: 5.1,
+  quiff: 1.8,
+  quill: 3.4,
+  quilt: 2.9,
+  quint: 2.7,
+  quips: 2.6,
+  quipu: 1.9,
+  quire: 1.3,
+  quirk: 2.6,
+  quirt: 2.9,
+  quist: 2.7,
+  quite: 5.3,
+  quits: 3.4,
+  quoad: 1.3,
+  quoit: 1.3,
+  quota: 3.3,
+  quote: 4,
+  quoth: 1.9,
+  rabat: 2.4,
+  rabbi: 3.8,
+  rabid: 3.1,
+  raced: 3.1,
+  racer: 3.4,
+  races: 3.8,
+  racks: 2.9,
+  radar: 4.6,
+  radii: 1.3,
+  radio: 4.9,
+  radix: 1.3,
+  radon: 1.9,
+  rafts: 2.5,
+  raged: 2.6,
+  rager: 2.3,
+  rages: 2.8,
+  raggy: 1.6,
+  raids: 3.1,
+  rails: 3,
+  rains: 3.7,
+  rainy: 3.6,
+  raise: 4.7,
+  rajah: 2.6,
+  raked: 2.6,
+  rakes: 2.3,
+  rales: 2.5,
+  rally: 3.9,
+  ralph: 4.2,
+  ramps: 2.6,
+  ramus: 1.3,
+  rance: 3,
+  ranch: 4.2,
+  rands: 1.3,
+  randy: 4,
+  range: 4.4,
+  ranks: 3.6,
+  rants: 2.3,
+  raped: 4.1,
+  raper: 1.9,
+  rapes: 2.9,
+  rapid: 3.6,
+  rarer: 2.3,
+  rasps: 1.3,
+  raspy: 2.2,
+  rated: 3.2,
+  rates: 3.6,
+  rathe: 2.4,
+  ratio: 3.5,
+  ratty: 2.8,
+  raved: 2.1,
+  ravel: 2.6,
+  raven: 3.5,
+  raver: 1.9,
+  raves: 2.8,
+  ravin: 2,
+  rayon: 2.5,
+  razed: 2.1,
+  razor: 3.8,
+  reach: 4.8,
+  react: 3.9,
+  reads: 3.9,
+  ready: 5.6,
+  reaks: 1.3,
+  realm: 3.7,
+  reals: 2.4,
+  reams: 2.3,
+  reaps: 1.9,
+  rearm: 2.2,
+  rears: 2.5,
+  reata: 2.1,
+  reave: 1.6,
+  rebar: 1.3,
+  rebbe: 2.3,
+  rebel: 3.7,
+  rebop: 1.6,
+  rebut: 2.2,
+  recap: 2.9,
+  recce: 1.3,
+  recon: 3.5,
+  recur: 1.6,
+  recut: 2.3,
+  reddy: 2.6,
+  redid: 2.7,
+  redly: 1.3,
+  redux: 1.8,
+  reeds: 2.5,
+  reedy: 2.1,
+  reefs: 2.7,
+  reeks: 3.1,
+  reels: 2.9,
+  reeve: 2.4,
+  refer: 3.9,
+  refit: 2.4,
+  regal: 3.1,
+  rehab: 3.8,
+  reign: 3.5,
+  reins: 3.2,
+  rejig: 1.3,
+  relax: 5,
+  relay: 3.5,
+  relic: 3.1,
+  reman: 2.3,
+  remit: 2.1,
+  remix: 2.5,
+  renal: 3.2,
+  rends: 1.6,
+  renew: 3.3,
+  renin: 1.3,
+  rents: 3.1,
+  repay: 3.7,
+  repel: 2.8,
+  reply: 3.7,
+  repot: 1.8,
+  repro: 1.3,
+  reran: 1.6,
+  rerig: 1.6,
+  rerun: 3,
+  reset: 3.5,
+  resin: 2.8,
+  rests: 3.4,
+  resty: 1.6,
+  retch: 2.5,
+  retie: 1.3,
+  retro: 3.2,
+  retry: 2,
+  reuse: 2.1,
+  revel: 2.9,
+  revue: 2.9,
+  rewed: 1.3,
+  rexes: 1.6,
+  rheum: 1.9,
+  rhine: 2.8,
+  rhino: 3.3,
+  rhyme: 3.6,
+  ribby: 2.1,
+  ricey: 1.3,
+  ricin: 2.5,
+  ricks: 2.3,
+  rider: 3.9,
+  rides: 3.9,
+  ridge: 3.8,
+  ridgy: 1.6,
+  riffs: 2.3,
+  rifle: 4.2,
+  rifts: 1.9,
+  right: 6.6,
+  rigid: 3.3,
+  rigor: 2.9,
+  riled: 3.2,
+  riles: 2,
+  riley: 3.8,
+  rille: 1.3,
+  rills: 1.3,
+  rimes: 1.9,
+  rinds: 2.7,
+  rings: 4.5,
+  rinks: 1.3,
+  rinse: 3.4,
+  riots: 3.4,
+  riped: 2,
+  ripen: 2.4,
+  riper: 1.8,
+  risen: 3.2,
+  riser: 2.5,
+  rises: 3.6,
+  risks: 3.8,
+  risky: 3.9,
+  rites: 3.3,
+  ritzy: 2.6,
+  rival: 3.6,
+  rived: 1.3,
+  riven: 1.3,
+  river: 4.7,
+  rives: 1.3,
+  rivet: 2.5,
+  roach: 3.4,
+  roads: 4,
+  roams: 2.6,
+  roars: 3.2,
+  roast: 4,
+  robed: 2,
+  robes: 3.4,
+  robin: 4.4,
+  robot: 4.1,
+  rocks: 4.4,
+  rocky: 4.2,
+  rodeo: 3.7,
+  roger: 4.7,
+  rogue: 3.6,
+  rojak: 1.3,
+  roker: 2.2,
+  roles: 3.5,
+  rolls: 3.9,
+  roman: 4,
+  romeo: 4,
+  rondo: 2.2,
+  ronin: 2.2,
+  roofs: 3.1,
+  roofy: 1.8,
+  rooks: 2.9,
+  rooky: 1.9,
+  rooms: 4.4,
+  roomy: 2.6,
+  roost: 2.9,
+  roots: 3.8,
+  rooty: 2.1,
+  roped: 3,
+  roper: 3.3,
+  ropes: 3.8,
+  ropey: 1.3,
+  roque: 2.8,
+  rosed: 1.3,
+  roses: 4.2,
+  roshi: 2.3,
+  rosin: 2.3,
+  rotch: 1.3,
+  rotor: 2.7,
+  rouge: 3.5,
+  rough: 4.6,
+  round: 4.8,
+  rouse: 3,
+  roust: 2.6,
+  route: 4.3,
+  routh: 1.3,
+  routs: 1.3,
+  roved: 1.6,
+  rover: 3.5,
+  roves: 1.3,
+  rowan: 3.2,
+  rowdy: 3,
+  rowed: 2.4,
+  rowel: 1.8,
+  rower: 1.3,
+  royal: 4.4,
+  rubes: 2.4,
+  rubin: 2.7,
+  ruble: 1.8,
+  rucks: 1.3,
+  ruddy: 2.8,
+  ruder: 2.2,
+  ruffs: 1.3,
+  rugby: 2.9,
+  ruing: 1.6,
+  ruins: 3.6,
+  ruled: 3.7,
+  ruler: 3.5,
+  rules: 4.8,
+  rumba: 3.1,
+  rumen: 1.3,
+  rummy: 3.2,
+  rumor: 4,
+  rumps: 2,
+  rumpy: 1.6,
+  runes: 2.6,
+  rungs: 2.1,
+  runic: 1.6,
+  runny: 3.1,
+  runts: 2.3,
+  runty: 2.1,
+  rupee: 1.6,
+  rural: 3.1,
+  rusts: 1.9,
+  rusty: 4.1,
+  ruths: 1.9,
+  saber: 2.9,
+  sabin: 1.6,
+  sabir: 2.4,
+  sable: 2.9,
+  sabra: 2.5,
+  sabre: 2.2,
+  sacks: 3.3,
+  sadhu: 1.3,
+  sadly: 3.7,
+  safer: 4.1,
+  safes: 2.6,
+  sagas: 1.8,
+  sager: 1.6,
+  sages: 2.4,
+  saggy: 2.8,
+  sahib: 3.1,
+  sails: 3.5,
+  saint: 4.3,
+  saith: 2.5,
+  sakes: 4.1,
+  salad: 4.2,
+  salat: 1.8,
+  sales: 4.1,
+  salle: 2.8,
+  sally: 4.4,
+  salon: 3.7,
+  salsa: 3.3,
+  salts: 3.2,
+  salty: 3.4,
+  salve: 2.8,
+  salvo: 2.6,
+  saman: 1.6,
+  samba: 2.8,
+  sambo: 2.6,
+  samel: 2.2,
+  sammy: 4.1,
+  sands: 3.3,
+  sandy: 4.4,
+  saner: 2.3,
+  sappy: 2.9,
+  saran: 3,
+  sarge: 4.1,
+  sarin: 2.4,
+  saris: 1.3,
+  sarks: 1.3,
+  sassy: 3.5,
+  satai: 1.6,
+  satay: 2.1,
+  sated: 2,
+  sates: 1.6,
+  satin: 3.4,
+  satyr: 2.8,
+  sauce: 4.2,
+  saucy: 3.1,
+  sault: 1.3,
+  sauna: 3.1,
+  saury: 1.3,
+  saute: 1.8,
+  saved: 4.8,
+  saver: 2.8,
+  saves: 3.7,
+  savin: 2.9,
+  savor: 3,
+  savoy: 2.7,
+  savvy: 3,
+  sawed: 2.7,
+  saxes: 1.3,
+  sayer: 2.7,
+  sayst: 1.3,
+  scabs: 2.5,
+  scads: 2.4,
+  scags: 1.3,
+  scala: 2.4,
+  scald: 2.4,
+  scale: 4,
+  scalp: 3.6,
+  scaly: 2.5,
+  scamp: 3.2,
+  scams: 2.9,
+  scans: 3.2,
+  scant: 2.4,
+  scape: 2.2,
+  scare: 4.5,
+  scarf: 3.7,
+  scars: 3.6,
+  scart: 1.6,
+  scary: 4.4,
+  scats: 1.6,
+  scene: 4.9,
+  scent: 3.8,
+  schmo: 2.7,
+  schwa: 1.3,
+  scion: 2.4,
+  scoff: 2.6,
+  scold: 3.1,
+  scone: 2.7,
+  scoop: 3.8,
+  scoot: 3.5,
+  scope: 3.7,
+  score: 4.5,
+  scorn: 3.1,
+  scots: 2.7,
+  scour: 2.8,
+  scout: 4.1,
+  scowl: 2.7,
+  scows: 1.3,
+  scrag: 1.6,
+  scram: 3.5,
+  scrap: 3.6,
+  scree: 1.6,
+  screw: 4.6,
+  scrip: 2.8,
+  scrod: 1.8,
+  scrub: 3.8,
+  scrum: 2,
+  scuba: 3.2,
+  scuds: 2.1,
+  scuff: 2.7,
+  scull: 1.8,
+  scums: 2.1,
+  scurf: 1.3,
+  seals: 3.4,
+  seams: 3.1,
+  seamy: 2.1,
+  sears: 3.4,
+  seats: 4.3,
+  sects: 2.4,
+  sedan: 3.2,
+  seder: 3.2,
+  sedge: 2.1,
+  seeds: 3.7,
+  seedy: 2.9,
+  seeks: 3.5,
+  seems: 5.2,
+  seeps: 2.2,
+  seers: 2.4,
+  segue: 2.7,
+  seine: 2.8,
+  seise: 1.3,
+  seize: 3.7,
+  selah: 2.1,
+  selfs: 1.3,
+  sella: 1.3,
+  selle: 1.9,
+  sells: 3.9,
+  selva: 1.3,
+  semen: 3.6,
+  semis: 2.3,
+  sends: 4.1,
+  senna: 1.3,
+  senor: 3.8,
+  sense: 5.1,
+  sepia: 1.8,
+  sepoy: 1.6,
+  seres: 1.3,
+  serfs: 2.5,
+  serge: 3.2,
+  serif: 1.3,
+  seron: 1.3,
+  serra: 2.2,
+  serum: 3.6,
+  serve: 4.6,
+  servo: 1.8,
+  seton: 3,
+  setup: 3.9,
+  seven: 5,
+  sever: 3.2,
+  sewed: 3.2,
+  sewer: 3.7,
+  sexed: 2.1,
+  sexes: 2.8,
+  shack: 3.8,
+  shade: 3.8,
+  shady: 3.4,
+  shaft: 3.9,
+  shags: 1.9,
+  shake: 4.6,
+  shaky: 3.5,
+  shale: 2.2,
+  shall: 5.3,
+  shalt: 3.5,
+  shama: 1.3,
+  shame: 4.6,
+  shams: 2,
+  shank: 3.1,
+  shape: 4.5,
+  shard: 2.9,
+  share: 4.8,
+  shark: 4.2,
+  sharp: 4.4,
+  shave: 4.1,
+  shawl: 3.1,
+  shaws: 1.3,
+  sheaf: 1.6,
+  shear: 2.6,
+  sheds: 2.6,
+  sheen: 3,
+  sheep: 4.1,
+  sheer: 3.7,
+  sheet: 4.1,
+  sheik: 3.2,
+  shelf: 3.8,
+  shell: 4.1,
+  sheol: 1.3,
+  shiai: 1.3,
+  shied: 2.5,
+  shiel: 2.2,
+  shier: 1.3,
+  shies: 1.6,
+  shift: 4.4,
+  shill: 2.4,
+  shine: 4.3,
+  shins: 2.7,
+  shiny: 3.9,
+  ships: 4.3,
+  shire: 2.9,
+  shirk: 2.4,
+  shirt: 4.7,
+  shish: 2.7,
+  shite: 3.1,
+  shits: 3.3,
+  shiva: 2.7,
+  shive: 1.3,
+  shivs: 1.3,
+  shoal: 2.3,
+  shoat: 1.3,
+  shock: 4.5,
+  shoed: 1.8,
+  shoes: 4.9,
+  shoji: 2.6,
+  shola: 1.8,
+  shone: 2.8,
+  shook: 3.8,
+  shoon: 1.6,
+  shoos: 1.3,
+  shoot: 5.2,
+  shops: 3.7,
+  shore: 4.3,
+  shorn: 2.4,
+  short: 4.9,
+  shots: 4.5,
+  shout: 4.2,
+  shove: 4.1,
+  shown: 4.2,
+  shows: 4.6,
+  showy: 2.5,
+  shred: 3.5,
+  shrew: 2.9,
+  shrub: 2.4,
+  shrug: 2.6,
+  shuck: 2.4,
+  shuns: 2.1,
+  shunt: 3,
+  shush: 3.4,
+  shuts: 3.4,
+  shyer: 1.9,
+  shyly: 2.2,
+  sibyl: 1.9,
+  sicko: 3.1,
+  sided: 2.3,
+  sider: 1.3,
+  sides: 4.2,
+  sidle: 3,
+  siege: 3.4,
+  sieve: 2.7,
+  sifts: 1.8,
+  sighs: 4.2,
+  sight: 4.7,
+  sigil: 1.3,
+  sigma: 2.9,
+  signa: 2.3,
+  signs: 4.3,
+  sikes: 2.5,
+  silks: 2.7,
+  silky: 2.9,
+  sills: 2.2,
+  silly: 4.8,
+  silos: 2.5,
+  silva: 3.1,
+  simas: 1.3,
+  simps: 1.3,
+  since: 5.5,
+  sines: 1.3,
+  sinew: 2.1,
+  singe: 2.4,
+  sings: 3.9,
+  sinks: 3.2,
+  sinky: 1.6,
+  sinus: 3.2,
+  sipes: 1.6,
+  sippy: 2,
+  sired: 2.7,
+  siree: 2.9,
+  siren: 3.8,
+  sires: 1.3,
+  sirup: 1.6,
+  sisal: 1.6,
+  sissy: 3.9,
+  sitar: 2.4,
+  sited: 1.8,
+  sites: 3.6,
+  situs: 2.1,
+  sixer: 2.4,
+  sixes: 3.1,
+  sixth: 4,
+  sixty: 3.7,
+  sized: 2.8,
+  sizer: 1.6,
+  sizes: 3.5,
+  skags: 1.3,
+  skate: 3.8,
+  skeet: 2.7,
+  skein: 2,
+  skell: 2.2,
+  skelp: 1.6,
+  skids: 2.8,
+  skied: 2.4,
+  skier: 2.7,
+  skies: 3.9,
+  skiff: 2.9,
+  skill: 3.9,
+  skimp: 2.4,
+  skims: 1.3,
+  skins: 3.4,
+  skint: 2.1,
+  skips: 2.9,
+  skirl: 1.8,
+  skirr: 1.3,
+  skirt: 4,
+  skits: 2,
+  skive: 1.3,
+  skoal: 2.3,
+  skulk: 2.5,
+  skull: 4.2,
+  skunk: 3.5,
+  slabs: 2.5,
+  slack: 3.8,
+  slade: 3.3,
+  slags: 1.9,
+  slain: 3.3,
+  slake: 1.8,
+  slams: 3.3,
+  slane: 1.3,
+  slang: 3.1,
+  slant: 3.1,
+  slaps: 2.9,
+  slash: 3.4,
+  slate: 3.5,
+  slats: 2.6,
+  slave: 4.3,
+  slays: 2.3,
+  sleds: 2.3,
+  sleek: 2.9,
+  sleep: 5.4,
+  sleet: 2.8,
+  slept: 4.6,
+  slews: 1.3,
+  slice: 3.9,
+  slick: 3.8,
+  slide: 4.3,
+  slime: 3.4,
+  slims: 1.6,
+  slimy: 3.5,
+  sling: 3.4,
+  slink: 2.6,
+  slips: 3.6,
+  slits: 2.5,
+  slobs: 3,
+  slogs: 1.3,
+  sloop: 2.3,
+  slope: 3.5,
+  slops: 2.2,
+  slosh: 2.1,
+  sloth: 3.2,
+  slots: 3.2,
+  slows: 3.1,
+  slugs: 3.3,
+  slump: 3.1,
+  slums: 3,
+  slung: 2.5,
+  slunk: 2.1,
+  slurp: 2.6,
+  slurs: 2.5,
+  slush: 2.7,
+  sluts: 3.1,
+  slyer: 1.3,
+  slyly: 1.3,
+  smack: 4,
+  small: 5.1,
+  smart: 5,
+  smash: 3.9,
+  smear: 3.3,
+  smell: 4.9,
+  smelt: 3,
+  smile: 4.8,
+  smirk: 2.9,
+  smite: 2.8,
+  smith: 4.6,
+  smock: 2.7,
+  smoke: 4.8,
+  smoky: 2.8,
+  smoot: 2.5,
+  smore: 1.3,
+  smote: 2.4,
+  smush: 2.1,
+  snack: 4,
+  snafu: 2.7,
+  snags: 2.4,
+  snail: 3.2,
+  snake: 4.3,
+  snaky: 1.6,
+  snaps: 3.5,
+  snare: 2.9,
+  snarl: 2.7,
+  snead: 1.3,
+  sneak: 4.2,
+  sneer: 2.9,
+  snell: 2.8,
+  snick: 1.3,
+  snide: 2.7,
+  sniff: 3.6,
+  snipe: 2.5,
+  snips: 2.1,
+  snits: 1.3,
+  snobs: 2.7,
+  snogs: 1.3,
+  snood: 1.8,
+  snook: 2.1,
+  snoop: 3.4,
+  snoot: 2.3,
+  snore: 3.2,
+  snort: 3.1,
+  snots: 2,
+  snout: 2.9,
+  snows: 3.1,
+  snowy: 3,
+  snubs: 1.6,
+  snuck: 3.7,
+  snuff: 3.3,
+  snugs: 1.3,
+  soaks: 2.3,
+  soaps: 3,
+  soapy: 2.7,
+  soars: 2.7,
+  sober: 4,
+  socko: 2.5,
+  socks: 4.3,
+  sodas: 3,
+  sofar: 1.3,
+  sofas: 2.5,
+  softy: 2.6,
+  soggy: 3,
+  soils: 2.2,
+  solan: 2.4,
+  solar: 3.7,
+  soles: 3,
+  solid: 4.3,
+  solon: 2.2,
+  solos: 2.6,
+  solve: 4.3,
+  sonar: 3.6,
+  sonde: 2.1,
+  songs: 4.3,
+  sonic: 3.3,
+  sonny: 4.2,
+  sooey: 1.6,
+  sooky: 1.6,
+  sooth: 2.3,
+  sooty: 2,
+  sophy: 2.1,
+  soppy: 2.1,
+  sorer: 1.8,
+  sores: 3.1,
+  sorry: 6.1,
+  sorta: 3.5,
+  sorts: 4,
+  souls: 4.2,
+  sound: 5.2,
+  soups: 2.5,
+  soupy: 2.4,
+  sours: 2.2,
+  souse: 2.5,
+  south: 4.8,
+  sowed: 2.1,
+  sower: 2,
+  space: 4.8,
+  spacy: 1.3,
+  spade: 3.4,
+  spake: 2.4,
+  spall: 1.9,
+  spams: 1.3,
+  spank: 3.5,
+  spans: 2.6,
+  spare: 4.5,
+  spark: 3.8,
+  spars: 1.6,
+  spasm: 3,
+  spate: 2.3,
+  spats: 2.9,
+  spawn: 3.3,
+  speak: 5.3,
+  spear: 3.7,
+  speck: 3.3,
+  specs: 3.3,
+  spect: 1.8,
+  speed: 4.6,
+  speer: 1.9,
+  spell: 4.6,
+  spelt: 2.4,
+  spend: 5,
+  spent: 4.8,
+  sperm: 3.8,
+  spews: 1.6,
+  spica: 1.8,
+  spice: 3.7,
+  spick: 2,
+  spics: 2.8,
+  spicy: 3.5,
+  spied: 2.9,
+  spiel: 2.6,
+  spies: 3.7,
+  spiff: 2.2,
+  spike: 4.1,
+  spiky: 2.3,
+  spill: 3.9,
+  spilt: 2.9,
+  spina: 2,
+  spine: 3.8,
+  spins: 3.3,
+  spiny: 2.1,
+  spire: 2,
+  spirt: 1.3,
+  spite: 3.9,
+  spits: 3.1,
+  spitz: 2.1,
+  splat: 2.9,
+  splay: 1.9,
+  split: 4.6,
+  spoil: 4.1,
+  spoke: 4.6,
+  spoof: 2.4,
+  spook: 3.4,
+  spool: 2.7,
+  spoon: 3.9,
+  spoor: 2.2,
+  spore: 2.1,
+  sport: 4.3,
+  spots: 4,
+  spout: 3,
+  sprat: 2.4,
+  spray: 4,
+  spree: 3.3,
+  sprig: 2.4,
+  sprit: 1.3,
+  sprog: 1.3,
+  spuds: 2.7,
+  spunk: 3.1,
+  spurn: 2.3,
+  spurs: 3.3,
+  spurt: 2.6,
+  squab: 2.6,
+  squad: 4.3,
+  squat: 3.5,
+  squaw: 3.1,
+  squib: 2.2,
+  squid: 3.4,
+  squit: 1.6,
+  stabs: 2.7,
+  stack: 3.8,
+  stade: 1.9,
+  staff: 4.5,
+  stage: 4.7,
+  stags: 2,
+  stagy: 1.6,
+  staid: 1.8,
+  stain: 3.8,
+  stair: 3.1,
+  stake: 4.2,
+  stale: 3.5,
+  stalk: 3.2,
+  stall: 4,
+  stamp: 3.8,
+  stand: 5.4,
+  stang: 2.1,
+  stank: 2.9,
+  staph: 2.7,
+  stare: 4,
+  stark: 3.8,
+  starr: 3.3,
+  stars: 4.7,
+  start: 5.5,
+  stash: 3.7,
+  state: 5,
+  stats: 3.1,
+  stave: 2.5,
+  stays: 4.3,
+  stead: 3,
+  steak: 4.2,
+  steal: 4.7,
+  steam: 4.1,
+  stean: 1.3,
+  steed: 3.4,
+  steel: 4.3,
+  steen: 1.8,
+  steep: 3.4,
+  steer: 3.8,
+  stein: 3.5,
+  stele: 1.8,
+  stell: 2.3,
+  stems: 3,
+  steno: 2.4,
+  stent: 1.6,
+  steps: 4.4,
+  stept: 1.3,
+  stern: 3.8,
+  stews: 2.1,
+  stewy: 1.3,
+  stick: 5,
+  stiff: 4,
+  still: 5.9,
+  stilt: 1.6,
+  sting: 3.8,
+  stink: 4.1,
+  stint: 2.9,
+  stipe: 1.6,
+  stirs: 2.8,
+  stoat: 1.3,
+  stock: 4.4,
+  stogy: 1.3,
+  stoic: 2.6,
+  stoke: 3.1,
+  stole: 4.7,
+  stoma: 1.3,
+  stomp: 3.4,
+  stone: 4.6,
+  stony: 2.8,
+  stood: 4.4,
+  stool: 3.5,
+  stoop: 3.4,
+  stops: 4.3,
+  store: 4.9,
+  stork: 3.2,
+  storm: 4.5,
+  story: 5.3,
+  stott: 1.3,
+  stoup: 1.3,
+  stout: 3,
+  stove: 3.9,
+  stows: 1.3,
+  strap: 3.7,
+  straw: 3.8,
+  stray: 3.7,
+  strep: 2.8,
+  strew: 1.6,
+  stria: 2,
+  strip: 4.2,
+  strop: 2.2,
+  strum: 2.4,
+  strut: 3.2,
+  stubs: 2.9,
+  stuck: 4.8,
+  studs: 3,
+  study: 4.7,
+  stuff: 5.5,
+  stull: 1.3,
+  stump: 3.4,
+  stung: 3.2,
+  stunk: 3,
+  stuns: 2.1,
+  stunt: 4,
+  stupa: 1.3,
+  stupe: 2.1,
+  style: 4.5,
+  stylo: 1.6,
+  suave: 3,
+  sucks: 4.4,
+  sucre: 2.9,
+  sudsy: 1.8,
+  suede: 3.3,
+  sugar: 4.6,
+  suing: 3.8,
+  suite: 4.2,
+  suits: 4.2,
+  sulfa: 2.7,
+  sulks: 2.1,
+  sulky: 2.3,
+  sully: 3.6,
+  sumac: 1.9,
+  summa: 2.2,
+  sumos: 1.3,
+  sunna: 1.3,
+  sunny: 3.9,
+  sunup: 3.1,
+  super: 4.4,
+  surat: 2.6,
+  surer: 2.4,
+  surfs: 2.1,
+  surge: 3.3,
+  surly: 2.8,
+  sushi: 3.6,
+  sutor: 2,
+  sutra: 3.1,
+  swabs: 2.9,
+  swags: 1.6,
+  swain: 2.4,
+  swami: 2.9,
+  swamp: 4,
+  swang: 1.3,
+  swank: 2.7,
+  swans: 3.1,
+  swaps: 1.9,
+  swarm: 3.1,
+  swash: 2,
+  swath: 2.3,
+  swats: 1.9,
+  sways: 2.1,
+  swear: 4.9,
+  sweat: 4.3,
+  swede: 3.1,
+  sweep: 4,
+  sweet: 5.2,
+  swell: 4.3,
+  swept: 3.7,
+  swift: 3.6,
+  swigs: 1.9,
+  swill: 3,
+  swims: 3.2,
+  swine: 3.6,
+  swing: 4.4,
+  swink: 2.8,
+  swipe: 3.2,
+  swirl: 3,
+  swish: 3.2,
+  swiss: 3.8,
+  swith: 1.3,
+  swizz: 1.6,
+  swoon: 2.8,
+  swoop: 3.2,
+  sword: 4.4,
+  swore: 3.9,
+  sworn: 4,
+  swung: 3.4,
+  sykes: 3.4,
+  synch: 2.8,
+  syncs: 1.3,
+  synod: 1.3,
+  syren: 1.3,
+  syrup: 3.7,
+  tabby: 2.9,
+  taber: 2.6,
+  tabes: 2.3,
+  tabla: 1.3,
+  table: 5,
+  taboo: 3.1,
+  tabor: 2.3,
+  tacet: 1.3,
+  tache: 1.6,
+  tacit: 2.1,
+  tacks: 2.7,
+  tacky: 3.4,
+  tacos: 3.3,
+  taels: 2.7,
+  taffy: 3.4,
+  tails: 3.8,
+  taint: 2.9,
+  taken: 5.1,
+  taker: 3,
+  takes: 5.1,
+  takin: 4,
+  talar: 1.3,
+  taler: 1.3,
+  tales: 3.8,
+  talks: 4.4,
+  talky: 2.5,
+  tally: 3.5,
+  talon: 3,
+  talpa: 1.3,
+  talus: 1.9,
+  tamed: 2.9,
+  tamer: 2.7,
+  tames: 1.6,
+  tammy: 3.7,
+  tango: 3.7,
+  tangs: 2,
+  tangy: 2.5,
+  tanka: 2.4,
+  tanks: 4,
+  tanna: 2.8,
+  tansy: 2.3,
+  tanto: 3,
+  tapas: 2,
+  taped: 3.6,
+  taper: 2.2,
+  tapes: 4.1,
+  tapir: 1.9,
+  tardy: 3.1,
+  tares: 1.3,
+  tarot: 3.1,
+  tarps: 2.1,
+  tarry: 2.7,
+  tarts: 3,
+  tarty: 2,
+  tasks: 3.2,
+  tasse: 1.3,
+  taste: 4.7,
+  tasty: 3.8,
+  tater: 2.7,
+  tatou: 1.6,
+  tatty: 1.8,
+  taunt: 2.8,
+  taupe: 2.8,
+  tawny: 2.8,
+  taxed: 2.3,
+  taxes: 4,
+  taxis: 3,
+  teach: 4.9,
+  teals: 1.3,
+  teams: 4.2,
+  tears: 4.3,
+  teary: 1.9,
+  tease: 3.8,
+  teats: 2.6,
+  techs: 2.7,
+  teddy: 4.2,
+  teems: 1.6,
+  teens: 3.3,
+  teeny: 3.4,
+  teeth: 4.7,
+  telex: 2.7,
+  tells: 4.7,
+  telly: 3.5,
+  tempo: 3.2,
+  temps: 2.6,
+  tempt: 3.4,
+  tench: 1.3,
+  tends: 3.4,
+  tenet: 2.1,
+  tenon: 1.8,
+  tenor: 3.2,
+  tense: 4,
+  tenth: 3.6,
+  tents: 3.3,
+  tepee: 2.7,
+  tepid: 2.4,
+  teres: 1.3,
+  terms: 4.3,
+  terns: 1.9,
+  terra: 3,
+  terry: 4.3,
+  terse: 2.2,
+  tesla: 2.9,
+  testa: 2.2,
+  teste: 2,
+  tests: 4.4,
+  testy: 3,
+  tetra: 1.8,
+  texas: 4.4,
+  texts: 2.8,
+  thane: 2.8,
+  thank: 6,
+  thaws: 2.2,
+  theft: 3.8,
+  their: 5.8,
+  thema: 1.3,
+  theme: 4.1,
+  there: 6.6,
+  therm: 1.3,
+  these: 6,
+  theta: 3.2,
+  thick: 4.1,
+  thief: 4.4,
+  thigh: 3.6,
+  thine: 3.5,
+  thing: 6,
+  think: 6.4,
+  thins: 2.6,
+  third: 4.9,
+  thong: 3.3,
+  thorn: 3.7,
+  those: 5.9,
+  thous: 1.3,
+  three: 5.7,
+  threw: 4.6,
+  throb: 2.4,
+  throw: 5.1,
+  thrum: 2.1,
+  thuds: 2.2,
+  thugs: 3.5,
+  thumb: 4.1,
+  thump: 3.3,
+  thyme: 2.3,
+  tiara: 3.3,
+  tibia: 2.8,
+  ticks: 3.1,
+  ticky: 2.4,
+  tidal: 3,
+  tiddy: 1.8,
+  tided: 1.3,
+  tides: 3.2,
+  tiers: 2.7,
+  tiffs: 1.9,
+  tiger: 4.3,
+  tight: 4.7,
+  tikes: 1.6,
+  tikis: 2.1,
+  tikka: 1.6,
+  tiled: 1.6,
+  tiler: 1.9,
+  tiles: 3.2,
+  tills: 2,
+  tilly: 3,
+  tilts: 2.4,
+  timbo: 2,
+  timed: 3.2,
+  timer: 3.8,
+  times: 5.3,
+  timid: 3.2,
+  tines: 2.1,
+  tinge: 2.3,
+  tings: 1.8,
+  tinny: 1.6,
+  tints: 2,
+  tippy: 2.7,
+  tipsy: 2.8,
+  tired: 5.1,
+  tires: 4,
+  tiros: 1.6,
+  titan: 3.2,
+  titch: 2,
+  tithe: 1.3,
+  title: 4.3,
+  titre: 1.6,
+  titty: 3.3,
+  tizzy: 2.2,
+  toads: 2.8,
+  toady: 2.3,
+  toast: 4.5,
+  today: 5.6,
+  toddy: 3.4,
+  toffs: 2.1,
+  toffy: 1.6,
+  tofus: 1.3,
+  togas: 2.1,
+  toile: 1.3,
+  toils: 2.1,
+  tokay: 1.3,
+  toked: 1.6,
+  token: 3.6,
+  tokes: 1.3,
+  tolas: 2.1,
+  tolls: 2.8,
+  tombs: 3,
+  tomes: 1.9,
+  tommy: 4.7,
+  tonal: 1.8,
+  tondo: 1.3,
+  toned: 2.5,
+  toner: 2.9,
+  tones: 3.3,
+  tonga: 2.5,
+  tongs: 2.9,
+  tonic: 3.6,
+  tonka: 2.3,
+  tonne: 1.6,
+  tools: 4,
+  toons: 2.7,
+  tooth: 4.1,
+  toots: 3.5,
+  topaz: 3,
+  toper: 1.3,
+  topes: 1.3,
+  topic: 3.7,
+  topis: 1.3,
+  toque: 1.9,
+  torch: 3.7,
+  torii: 1.3,
+  toros: 3,
+  torse: 1.3,
+  torso: 3.3,
+  torta: 1.3,
+  torte: 1.6,
+  torts: 1.8,
+  torus: 1.3,
+  total: 4.6,
+  toted: 1.3,
+  totem: 2.9,
+  toter: 1.3,
+  totes: 1.9,
+  totty: 1.6,
+  touch: 5.2,
+  tough: 5,
+  tours: 3.4,
+  touse: 1.3,
+  touts: 1.8,
+  towed: 3.1,
+  towel: 4.2,
+  tower: 4.4,
+  towns: 3.8,
+  toxic: 3.7,
+  toxin: 3,
+  toyed: 2.6,
+  trace: 4.3,
+  track: 4.7,
+  tract: 3.2,
+  trade: 4.5,
+  trail: 4.3,
+  train: 5,
+  trait: 3,
+  tramp: 3.9,
+  trams: 2.1,
+  trans: 3.1,
+  trant: 2.1,
+  traps: 3.7,
+  trash: 4.4,
+  trawl: 2,
+  trays: 3.2,
+  tread: 3.4,
+  treat: 4.7,
+  treed: 2.3,
+  trees: 4.5,
+  treks: 1.9,
+  trend: 3.3,
+  tress: 2.1,
+  treys: 1.6,
+  triad: 3.5,
+  trial: 4.7,
+  tribe: 3.8,
+  trice: 2.1,
+  trick: 4.7,
+  tried: 5.3,
+  trier: 2.1,
+  tries: 4.2,
+  trike: 1.8,
+  trill: 2.1,
+  trims: 1.9,
+  trine: 1.9,
+  trios: 1.6,
+  tripe: 2.9,
+  trips: 3.9,
+  trite: 2.9,
+  troll: 3.4,
+  tromp: 2.1,
+  troop: 3.8,
+  troth: 2.8,
+  trots: 2.3,
+  trout: 3.6,
+  trove: 2.5,
+  truce: 3.6,
+  truck: 4.9,
+  truer: 2.7,
+  truly: 4.6,
+  trump: 3.4,
+  trunk: 4.3,
+  truss: 2.5,
+  trust: 5.3,
+  truth: 5.3,
+  tryst: 2.6,
+  tsars: 1.8,
+  tsubo: 1.6,
+  tubal: 2.5,
+  tubas: 1.6,
+  tubby: 2.8,
+  tubed: 2.4,
+  tuber: 1.8,
+  tubes: 3.8,
+  tucks: 2.7,
+  tufts: 2.2,
+  tules: 1.3,
+  tulip: 2.9,
+  tulle: 2.5,
+  tulsi: 1.8,
+  tummy: 3.5,
+  tumor: 3.7,
+  tunas: 1.3,
+  tuned: 3.6,
+  tuner: 2.2,
+  tunes: 3.6,
+  tungs: 1.3,
+  tunic: 2.7,
+  tunny: 2.3,
+  turbo: 3.5,
+  turds: 2.9,
+  turfs: 1.9,
+  turns: 4.7,
+  tushy: 2.9,
+  tusks: 2.5,
+  tusky: 1.3,
+  tutee: 1.6,
+  tutor: 3.7,
+  tutti: 3,
+  tutus: 2.4,
+  tuxes: 2.1,
+  twain: 3.5,
+  twang: 2.2,
+  twank: 1.3,
+  twats: 1.8,
+  tweak: 2.8,
+  tweed: 3.1,
+  tween: 2.3,
+  tweet: 2.9,
+  twerp: 3.2,
+  twice: 4.8,
+  twigs: 2.9,
+  twill: 2.4,
+  twine: 2.8,
+  twink: 2.4,
+  twins: 4.2,
+  twirl: 3.1,
+  twirp: 1.3,
+  twist: 4.1,
+  twits: 2.6,
+  twixt: 2.6,
+  tying: 3.5,
+  tykes: 2.4,
+  tyler: 4.1,
+  typed: 3.2,
+  types: 4,
+  typos: 2.2,
+  tyres: 3.4,
+  tyros: 1.9,
+  udder: 2.3,
+  uhuru: 1.8,
+  ulcer: 3.4,
+  ulnae: 1.3,
+  ulnar: 1.9,
+  ultra: 3,
+  umber: 2.4,
+  umped: 1.6,
+  unapt: 1.6,
+  uncap: 1.3,
+  uncle: 5.1,
+  uncut: 2.9,
+  under: 5.4,
+  undid: 2.4,
+  undue: 2.8,
+  unfed: 1.9,
+  unfit: 3.2,
+  unfix: 2,
+  unhat: 1.3,
+  unhip: 1.8,
+  unify: 2.4,
+  union: 4.3,
+  unite: 3.5,
+  units: 4.3,
+  unity: 3.4,
+  unjam: 1.8,
+  unlit: 1.8,
+  unman: 1.3,
+  unmet: 1.3,
+  unpin: 1.8,
+  unsay: 1.3,
+  unsee: 1.6,
+  unset: 1.3,
+  unsex: 1.6,
+  untie: 3.7,
+  until: 5.5,
+  unwed: 2.7,
+  unwet: 1.3,
+  unzip: 2.9,
+  upend: 1.3,
+  upped: 2.9,
+  upper: 4.1,
+  upset: 4.9,
+  urban: 3.7,
+  urged: 3,
+  urger: 1.3,
+  urges: 3.3,
+  urine: 3.8,
+  urman: 1.3,
+  usage: 2.7,
+  users: 3.1,
+  usher: 3.4,
+  using: 4.8,
+  usual: 4.6,
+  usurp: 2.2,
+  usury: 2,
+  utter: 3.7,
+  uvula: 2.2,
+  vagal: 1.9,
+  vague: 3.7,
+  vagus: 1.9,
+  vales: 1.8,
+  valet: 3.7,
+  valid: 3.5,
+  valor: 3.1,
+  valse: 1.6,
+  value: 4.3,
+  valve: 3.7,
+  vamps: 2.7,
+  vanda: 1.3,
+  vanes: 2,
+  vapid: 2.4,
+  vapor: 2.8,
+  varix: 1.3,
+  varna: 2.7,
+  vases: 2.7,
+  vasty: 1.3,
+  vault: 4.1,
+  veals: 1.9,
+  veers: 2.3,
+  vegan: 2.8,
+  vegas: 4.6,
+  veils: 2.6,
+  veins: 3.7,
+  veiny: 1.6,
+  veldt: 1.8,
+  velum: 1.3,
+  venal: 2.5,
+  venom: 3.4,
+  vents: 3.2,
+  venue: 3.2,
+  venus: 3.7,
+  verbs: 2.8,
+  verge: 3.5,
+  verry: 1.3,
+  verse: 3.7,
+  verso: 1.3,
+  verts: 1.9,
+  vertu: 1.3,
+  verve: 2.4,
+  vesta: 2.3,
+  vests: 3,
+  vexed: 2.7,
+  vexer: 1.8,
+  vexes: 2,
+  vials: 3.1,
+  vibes: 3,
+  vicar: 3.2,
+  vices: 2.7,
+  video: 4.6,
+  views: 3.6,
+  vigil: 2.9,
+  vigor: 2.6,
+  viler: 1.3,
+  villa: 3.6,
+  villi: 1.3,
+  vines: 3.2,
+  vinyl: 3.1,
+  viola: 3.5,
+  viper: 3.4,
+  viral: 2.9,
+  vireo: 1.8,
+  virge: 3,
+  virus: 4.3,
+  visas: 2.8,
+  visit: 4.8,
+  vison: 1.6,
+  visor: 2.8,
+  vista: 3.4,
+  visto: 2.1,
+  vitae: 2.1,
+  vital: 3.9,
+  vitas: 1.6,
+  vivat: 1.8,
+  vivid: 3.3,
+  vixen: 3,
+  vizir: 1.6,
+  vocab: 2.1,
+  vocal: 3.5,
+  vodka: 4,
+  vogue: 3.4,
+  voice: 4.9,
+  voids: 2,
+  voila: 3.4,
+  voile: 1.6,
+  volta: 2.4,
+  volts: 3.1,
+  vomit: 3.7,
+  voted: 3.8,
+  voter: 2.9,
+  votes: 3.9,
+  vouch: 3.4,
+  vowed: 3.2,
+  vowel: 2.8,
+  vroom: 2.9,
+  vrouw: 1.3,
+  vulva: 2.1,
+  vying: 2.4,
+  wacko: 3.4,
+  wacks: 1.6,
+  wacky: 3.5,
+  waddy: 1.3,
+  waded: 2.3,
+  wader: 1.3,
+  wades: 1.9,
+  wafer: 2.5,
+  wafts: 2.1,
+  waged: 2.7,
+  wager: 3.6,
+  wages: 3.6,
+  wagon: 4.2,
+  wahoo: 2.4,
+  waifs: 1.8,
+  wails: 2.9,
+  waist: 3.7,
+  waits: 3.8,
+  waive: 3.2,
+  waked: 2.5,
+  waken: 2.6,
+  wakes: 3.8,
+  wales: 3.3,
+  walks: 4.3,
+  walla: 2.6,
+  walls: 4.4,
+  wally: 4.2,
+  waltz: 3.7,
+  wands: 2.5,
+  waned: 2.1,
+  wanes: 2.1,
+  wanky: 1.8,
+  wanna: 5.7,
+  wants: 5.5,
+  wanty: 1.6,
+  wards: 3,
+  wares: 2.5,
+  warms: 2.9,
+  warns: 2.5,
+  warps: 1.8,
+  warts: 3,
+  warty: 1.9,
+  washy: 1.6,
+  wasps: 2.8,
+  waspy: 2.1,
+  waste: 4.7,
+  watch: 5.5,
+  water: 5.4,
+  watts: 3.1,
+  waugh: 1.6,
+  waved: 3.3,
+  waver: 2.6,
+  waves: 4.1,
+  wavey: 2.1,
+  waxed: 3.1,
+  waxen: 2.1,
+  waxer: 2.3,
+  waxes: 2.1,
+  wazir: 1.8,
+  wazoo: 2.8,
+  wears: 4.1,
+  weary: 3.6,
+  weave: 3.3,
+  webby: 2.2,
+  weber: 2.9,
+  wedge: 3.4,
+  wedgy: 1.6,
+  weeds: 3.4,
+  weedy: 2.5,
+  weeks: 5.1,
+  weeny: 2.2,
+  weeps: 2.7,
+  weepy: 2.8,
+  weigh: 3.9,
+  weird: 5,
+  welch: 3.1,
+  welds: 2.1,
+  wells: 4,
+  welsh: 3.1,
+  welts: 2.4,
+  wench: 3.2,
+  wends: 1.6,
+  wenny: 1.6,
+  whack: 4,
+  whale: 4.1,
+  whang: 2,
+  whare: 1.3,
+  wharf: 3.1,
+  whats: 3.3,
+  wheal: 1.3,
+  wheat: 3.8,
+  wheel: 4.4,
+  wheen: 1.3,
+  whelk: 1.6,
+  whelp: 2.7,
+  whens: 1.6,
+  where: 6.3,
+  whets: 1.6,
+  which: 5.7,
+  whiff: 3.4,
+  whigs: 2,
+  while: 5.5,
+  whims: 2.9,
+  whine: 3.2,
+  whiny: 3,
+  whips: 3.1,
+  whirl: 3.2,
+  whirr: 1.3,
+  whirs: 2.5,
+  whish: 2.1,
+  whisk: 2.8,
+  whist: 2.3,
+  white: 5.2,
+  whity: 1.6,
+  whizz: 2.3,
+  whole: 5.6,
+  whomp: 2.1,
+  whoof: 1.6,
+  whoop: 3.6,
+  whoot: 1.3,
+  whops: 1.3,
+  whore: 4.3,
+  whorl: 1.8,
+  whose: 4.8,
+  whoso: 1.3,
+  whups: 1.3,
+  wicks: 2.7,
+  wicky: 1.8,
+  widdy: 1.8,
+  widen: 2.9,
+  wider: 3.4,
+  wides: 1.3,
+  widow: 4.1,
+  width: 2.8,
+  wield: 2.9,
+  wifes: 1.3,
+  wigan: 1.9,
+  wiggy: 2.8,
+  wight: 2.4,
+  wilco: 2.8,
+  wilds: 2.5,
+  wiles: 3,
+  wills: 3.3,
+  willy: 4,
+  wilts: 1.6,
+  wimps: 3,
+  wimpy: 2.9,
+  wince: 2.4,
+  winch: 3.1,
+  winds: 3.9,
+  windy: 3.4,
+  wined: 2.3,
+  wines: 3.2,
+  wings: 4.3,
+  winks: 2.7,
+  winos: 2.6,
+  wiped: 3.9,
+  wiper: 2.8,
+  wipes: 3.1,
+  wired: 3.9,
+  wires: 3.8,
+  wised: 2.3,
+  wiser: 3.4,
+  wisps: 2.1,
+  wispy: 2,
+  witch: 4.4,
+  witty: 3.5,
+  wives: 4.2,
+  woads: 2.1,
+  woken: 3.2,
+  wolfs: 1.8,
+  wolly: 2.1,
+  woman: 5.6,
+  wombs: 1.8,
+  women: 5.3,
+  wonks: 1.8,
+  wonky: 2.1,
+  woods: 4.5,
+  woody: 3.9,
+  wooed: 2.5,
+  wooer: 1.3,
+  woofs: 2,
+  woofy: 1.8,
+  wools: 1.9,
+  wooly: 2.8,
+  woops: 1.8,
+  woozy: 2.9,
+  words: 5.1,
+  wordy: 2.2,
+  works: 5,
+  world: 5.7,
+  worms: 3.8,
+  wormy: 2.3,
+  worry: 5.5,
+  worse: 5,
+  worst: 4.8,
+  worth: 5,
+  worts: 1.3,
+  would: 6.2,
+  wound: 4.4,
+  woven: 2.8,
+  wowed: 2.2,
+  wrack: 2,
+  wraps: 3.4,
+  wrath: 3.6,
+  wreak: 2.8,
+  wreck: 4.1,
+  wrens: 1.3,
+  wrest: 2.1,
+  wring: 3.1,
+  wrist: 4,
+  write: 5.1,
+  writs: 1.6,
+  wrong: 5.7,
+  wrote: 4.9,
+  wroth: 2.2,
+  wrung: 2.4,
+  wryly: 1.6,
+  wurst: 1.9,
+  wussy: 2.6,
+  xenia: 2.6,
+  xenon: 2.8,
+  xerox: 3,
+  xylem: 1.8,
+  yacht: 3.9,
+  yahoo: 3.5,
+  yakka: 1.6,
+  yamen: 2.1,
+  yangs: 2.4,
+  yanks: 3.4,
+  yappy: 2,
+  yards: 4.2,
+  yarns: 2.2,
+  yawls: 1.6,
+  yawns: 2.8,
+  yawny: 1.3,
+  yeahs: 1.6,
+  yearn: 3,
+  years: 5.8,
+  yeast: 2.9,
+  yecch: 2.2,
+  yeggs: 1.6,
+  yells: 3.6,
+  yelps: 2.7,
+  yenta: 2.2,
+  yente: 1.8,
+  yerba: 1.6,
+  yeses: 1.6,
+  yesty: 1.3,
+  yield: 3.6,
+  yikes: 3.3,
+  yipes: 2.1,
+  yobbo: 1.3,
+  yodel: 2.9,
+  yogic: 1.6,
+  yogis: 2,
+  yoked: 2,
+  yokel: 2.5,
+  yokes: 1.3,
+  yolks: 2.2,
+  young: 5.4,
+  yourn: 2.5,
+  yours: 5.3,
+  youse: 3.3,
+  youth: 4.2,
+  yowie: 2.7,
+  yowls: 1.3,
+  yucca: 2.4,
+  yucch: 1.8,
+  yucky: 2.6,
+  yulan: 1.3,
+  yummy: 3.7,
+  yuppy: 1.3,
+  zaire: 2.4,
+  zakat: 1.3,
+  zebra: 3.4,
+  zeins: 1.3,
+  zendo: 1.3,
+  zeros: 3,
+  zesty: 2.2,
+  zilch: 2.9,
+  zines: 2,
+  zings: 1.3,
+  zingy: 1.3,
+  zippy: 2.6,
+  zloty: 1.6,
+  zombi: 1.3,
+  zonal: 1.3,
+  zoned: 2.5,
+  zoner: 1.3,
+  zones: 3.2,
+  zooms: 1.8,
+  zorro: 3.4,
+  zowie: 2.5
+};
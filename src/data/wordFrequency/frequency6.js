@@ -0,0 +1,6213 @@
+// src/data/wordFrequency/frequency6.js
+//
+// 6-LETTER WORD FREQUENCY (generated by scripts/buildWordFrequency.js - do not edit by hand)
+//
+// Zipf frequency (log10 of occurrences per billion words) from SUBTLEX-US film
+// subtitles. ~1 = rare, 3 = uncommon, 4-5 = everyday words. Words that never
+// appear in the corpus are left out (treated as 0).
+//
+// Source: subtlex-word-frequencies npm package (ISC, Copyright (c) 2015 Zeke Sikelianos)
+
+/**
+ * Commonness score per word
+ * Total: 6197 of 7024 words found in the corpus
+ */
+export const WORD_FREQUENCY = {
+  abacus: 2.4,
+  abated: 1.9,
+  abates: 1.6,
+  abbess: 1.6,
+  abduct: 2.8,
+  abhors: 1.9,
+  abides: 1.9,
+  abject: 2.6,
+  abjure: 1.3,
+  ablaze: 2.6,
+  ablest: 1.6,
+  abloom: 1.8,
+  aboard: 4.4,
+  aborts: 1.3,
+  abound: 2.5,
+  abrade: 1.3,
+  abroad: 3.7,
+  abrupt: 3.1,
+  absent: 3.4,
+  absorb: 3.3,
+  absurd: 4,
+  abused: 3.7,
+  abuser: 2.5,
+  abuses: 2.7,
+  acacia: 2.2,
+  accede: 2.1,
+  accent: 4.1,
+  accept: 4.7,
+  access: 4.5,
+  accord: 3.2,
+  accost: 1.8,
+  accrue: 1.9,
+  accuse: 3.8,
+  acetic: 1.3,
+  aching: 3.3,
+  acidic: 2.3,
+  acorns: 2.6,
+  acquit: 2.7,
+  across: 5,
+  acting: 4.7,
+  action: 4.8,
+  active: 4.1,
+  actors: 4.1,
+  actual: 4.2,
+  acuity: 2.4,
+  acumen: 2.1,
+  adages: 1.3,
+  adagio: 2.4,
+  adapts: 1.8,
+  adders: 1.6,
+  addict: 3.7,
+  adding: 3.6,
+  addled: 2.3,
+  adduce: 1.3,
+  adepts: 1.6,
+  adhere: 2.8,
+  adieus: 1.3,
+  adjure: 1.3,
+  adjust: 3.8,
+  admire: 4.2,
+  admits: 3.3,
+  adopts: 2.3,
+  adored: 3.4,
+  adores: 3.3,
+  adorns: 1.8,
+  adrift: 3,
+  adroit: 2.1,
+  adults: 4,
+  advent: 2.7,
+  adverb: 2.3,
+  advert: 2.4,
+  advice: 4.7,
+  advise: 4.1,
+  aerate: 1.3,
+  aerial: 3.4,
+  aeries: 1.3,
+  affair: 4.5,
+  affect: 4,
+  affirm: 2.5,
+  afford: 4.6,
+  afghan: 2.8,
+  afield: 2.1,
+  aflame: 2.5,
+  afloat: 3.2,
+  afraid: 5.4,
+  afresh: 2.4,
+  agates: 1.3,
+  ageism: 2.4,
+  agency: 4.3,
+  agenda: 3.9,
+  agents: 4.3,
+  aghast: 2.1,
+  agreed: 4.6,
+  agrees: 3.6,
+  aiding: 3,
+  ailing: 2.7,
+  aiming: 3.6,
+  airing: 2.8,
+  airman: 2.8,
+  airmen: 2.8,
+  airway: 3.2,
+  aisles: 2.9,
+  akimbo: 1.9,
+  alarms: 3.5,
+  albeit: 2.9,
+  albino: 3.1,
+  albums: 3.4,
+  alcove: 2.7,
+  alders: 1.8,
+  alerts: 2.4,
+  alibis: 3.1,
+  aliens: 4,
+  alight: 2.6,
+  aligns: 2,
+  alkali: 2.5,
+  allays: 1.3,
+  allege: 2.3,
+  alleys: 3.1,
+  allied: 3.5,
+  allies: 3.7,
+  allots: 1.3,
+  allows: 3.7,
+  alloys: 2.3,
+  allude: 2.3,
+  allure: 2.8,
+  almond: 3,
+  almost: 5.3,
+  alpaca: 2.3,
+  alphas: 1.8,
+  alpine: 3.1,
+  altars: 2.1,
+  alters: 2.6,
+  alumna: 1.3,
+  alumni: 3.2,
+  always: 5.8,
+  amazed: 3.7,
+  amazes: 2.9,
+  amazon: 3.5,
+  ambled: 1.6,
+  ambush: 3.7,
+  amends: 3.3,
+  amigos: 3.3,
+  amoeba: 2.5,
+  amoral: 2.3,
+  amount: 4.4,
+  amours: 2.1,
+  ampule: 2.6,
+  amulet: 3.4,
+  amused: 3.4,
+  amuses: 2.8,
+  analog: 2.4,
+  anchor: 3.9,
+  anemia: 2.8,
+  anemic: 2.8,
+  angels: 4.2,
+  angers: 2.6,
+  angina: 3,
+  angled: 2.4,
+  angler: 2.6,
+  angles: 3.5,
+  angora: 2.6,
+  animal: 4.7,
+  animus: 2,
+  anions: 1.6,
+  ankles: 3.6,
+  anklet: 2.6,
+  annals: 2.8,
+  annoys: 2.8,
+  annual: 3.9,
+  annuls: 1.3,
+  anoint: 2.3,
+  answer: 5.2,
+  anthem: 3.3,
+  anther: 1.6,
+  antics: 3,
+  antler: 2.5,
+  anuses: 1.3,
+  anvils: 2.2,
+  anyhow: 4.2,
+  anyone: 5.4,
+  anyway: 5.4,
+  apathy: 2.7,
+  aphids: 2.4,
+  apiary: 1.6,
+  apiece: 3.6,
+  aplomb: 2.2,
+  apogee: 1.9,
+  appeal: 4.1,
+  appear: 4.4,
+  apples: 3.9,
+  aprons: 2.5,
+  arable: 1.3,
+  arbors: 1.6,
+  arcade: 3.3,
+  arcane: 2.6,
+  arched: 2.2,
+  archer: 3.7,
+  arches: 2.9,
+  arcing: 2.1,
+  arctic: 3.3,
+  ardent: 2.8,
+  ardors: 1.3,
+  arenas: 2.6,
+  argosy: 2.4,
+  argued: 3.4,
+  argues: 2.6,
+  argyle: 2.9,
+  aright: 2.5,
+  arisen: 2.3,
+  arises: 3,
+  armada: 3,
+  armful: 2.4,
+  armies: 3.5,
+  arming: 3,
+  armory: 3.3,
+  armpit: 3.1,
+  aromas: 2.1,
+  around: 5.9,
+  arouse: 3.1,
+  arrant: 2,
+  arrays: 2,
+  arrest: 4.8,
+  arrive: 4.3,
+  arrows: 3.5,
+  arroyo: 2.8,
+  artery: 3.7,
+  artful: 2.2,
+  artist: 4.5,
+  ascend: 3,
+  ascent: 2.5,
+  ashcan: 2.1,
+  ashore: 3.8,
+  ashram: 2.5,
+  asides: 1.3,
+  asking: 5.1,
+  asleep: 4.7,
+  aspect: 3.6,
+  aspens: 1.8,
+  aspire: 3,
+  assail: 2,
+  assays: 1.3,
+  assent: 1.9,
+  assert: 2.9,
+  assess: 3.2,
+  assets: 3.7,
+  assign: 3.4,
+  assist: 3.9,
+  assume: 4.5,
+  assure: 4.3,
+  astern: 3,
+  asthma: 3.6,
+  astral: 3,
+  astray: 3.2,
+  astute: 3,
+  asylum: 3.7,
+  atolls: 1.8,
+  atomic: 3.7,
+  atonal: 1.3,
+  atoned: 1.3,
+  atones: 1.3,
+  atrium: 2.8,
+  attach: 3.4,
+  attack: 4.9,
+  attain: 3,
+  attend: 4.1,
+  attest: 2.6,
+  attics: 2.1,
+  attire: 3.2,
+  attune: 1.3,
+  auburn: 2.8,
+  audits: 2.1,
+  augurs: 1.3,
+  augury: 1.9,
+  august: 4,
+  author: 3.9,
+  autism: 2.8,
+  autumn: 3.6,
+  avails: 1.8,
+  avatar: 2.4,
+  avenge: 3.5,
+  avenue: 4.2,
+  averse: 2.5,
+  aviary: 2.2,
+  avidly: 2,
+  avoids: 2.7,
+  avowed: 1.6,
+  awaits: 3.6,
+  awaken: 3.4,
+  awakes: 2.5,
+  awards: 3.7,
+  aweigh: 2.4,
+  awhile: 4,
+  awning: 2.7,
+  awoken: 2.4,
+  axioms: 1.3,
+  azalea: 2.1,
+  baaing: 1.6,
+  babble: 2.9,
+  babied: 2,
+  babies: 4.5,
+  baboon: 3.2,
+  backed: 3.9,
+  backer: 3,
+  backup: 4.2,
+  badder: 2.6,
+  badger: 3.2,
+  badges: 3.3,
+  baffle: 2.2,
+  bagels: 3.3,
+  bagged: 3.3,
+  bailed: 3.5,
+  baited: 2.5,
+  bakers: 2.7,
+  bakery: 3.5,
+  baking: 3.5,
+  balder: 2.2,
+  baleen: 1.3,
+  baling: 2.1,
+  balked: 2.2,
+  ballad: 3.1,
+  balled: 2.7,
+  ballet: 4,
+  ballot: 3.1,
+  ballsy: 2.6,
+  balsam: 2.2,
+  bamboo: 3.2,
+  banana: 4,
+  banded: 2.2,
+  bandit: 3.6,
+  banged: 3.5,
+  bangle: 2,
+  banish: 3.1,
+  banjos: 2.1,
+  banked: 2.6,
+  banker: 3.7,
+  banned: 3.4,
+  banner: 3.8,
+  bantam: 1.9,
+  banter: 3.1,
+  banyan: 2.4,
+  baobab: 1.9,
+  barbed: 3.1,
+  barber: 3.7,
+  barely: 4.5,
+  barest: 2,
+  barfed: 2.4,
+  barged: 2.8,
+  barges: 2.3,
+  baring: 2.3,
+  barium: 2.7,
+  barked: 2.5,
+  barker: 3.5,
+  barley: 3,
+  barman: 2.7,
+  barons: 3,
+  barred: 3.1,
+  barrel: 4,
+  barren: 3.2,
+  barrio: 2.8,
+  barrow: 3.1,
+  barter: 3,
+  basalt: 2.3,
+  basely: 1.3,
+  basest: 2.3,
+  bashed: 3.1,
+  bashes: 2,
+  basics: 3.3,
+  basing: 2.9,
+  basins: 2.1,
+  basked: 1.3,
+  basket: 4.1,
+  basses: 1.9,
+  basted: 2.3,
+  bathed: 3.1,
+  bather: 1.8,
+  bathes: 2.4,
+  batons: 2.5,
+  batted: 2.7,
+  batten: 2.6,
+  batter: 3.6,
+  battle: 4.6,
+  bauble: 2.6,
+  bawled: 2.4,
+  baying: 2.4,
+  bayous: 1.9,
+  bazaar: 3.1,
+  beacon: 3.6,
+  beaded: 2.3,
+  beagle: 3.1,
+  beaked: 1.8,
+  beaker: 2.6,
+  beamed: 3,
+  beaned: 2.1,
+  beards: 2.9,
+  bearer: 3.3,
+  beasts: 3.6,
+  beaten: 4.1,
+  beater: 2.8,
+  beauty: 4.7,
+  beaver: 3.7,
+  became: 4.7,
+  beckon: 2.3,
+  become: 5.1,
+  bedbug: 2.5,
+  bedded: 2.5,
+  bedlam: 3.1,
+  bedpan: 3,
+  beefed: 2.5,
+  beeped: 2.8,
+  beeper: 3.5,
+  beetle: 3.3,
+  beeves: 2.3,
+  befall: 2.8,
+  befell: 1.9,
+  befits: 2,
+  before: 5.9,
+  befoul: 1.6,
+  begets: 2.6,
+  beggar: 3.4,
+  begged: 3.9,
+  begins: 4.2,
+  begone: 2.7,
+  behalf: 4.1,
+  behave: 4.2,
+  behead: 2.2,
+  beheld: 2.7,
+  behest: 2.6,
+  behind: 5.3,
+  behold: 3.8,
+  beings: 4.1,
+  belfry: 2.4,
+  belied: 2,
+  belief: 3.9,
+  belies: 1.6,
+  belled: 1.3,
+  belles: 2.2,
+  bellow: 2.7,
+  belong: 4.6,
+  belted: 2.7,
+  bemoan: 1.3,
+  bender: 3.6,
+  benign: 3.1,
+  berate: 2.4,
+  bereft: 2.5,
+  berets: 2.8,
+  berths: 2.1,
+  beside: 4.2,
+  bested: 2.7,
+  bestow: 3,
+  betake: 1.3,
+  betcha: 3.6,
+  betide: 2.2,
+  betray: 4,
+  better: 5.9,
+  bettor: 2.7,
+  bevels: 1.3,
+  bevies: 1.3,
+  beware: 3.8,
+  beyond: 4.6,
+  biased: 3,
+  biases: 1.3,
+  bibles: 3.1,
+  biceps: 3,
+  bicker: 2.7,
+  bidden: 2,
+  bidder: 3.2,
+  bidets: 1.6,
+  biding: 2.3,
+  bigamy: 2.7,
+  bigger: 4.7,
+  biggie: 3.3,
+  bigots: 2.3,
+  bigwig: 2.3,
+  bikers: 3.1,
+  biking: 2.7,
+  bikini: 3.6,
+  bilges: 2.2,
+  bilked: 2.1,
+  billed: 2.8,
+  billet: 2.5,
+  billow: 2,
+  bimbos: 2.8,
+  binary: 2.9,
+  binder: 2.9,
+  binged: 1.6,
+  binges: 1.9,
+  bionic: 2.8,
+  biopsy: 3.2,
+  bipeds: 1.9,
+  birdie: 3.7,
+  births: 2.8,
+  bisect: 1.6,
+  bishop: 4.2,
+  bisque: 2.6,
+  bistro: 3,
+  bitchy: 3.1,
+  biting: 3.7,
+  bitten: 3.6,
+  bitter: 4,
+  blacks: 3.5,
+  blades: 3.5,
+  blamed: 3.8,
+  blamer: 1.3,
+  blames: 3.3,
+  blanch: 2.4,
+  blanks: 3.5,
+  blared: 1.3,
+  blares: 3,
+  blasts: 3,
+  blazed: 2.5,
+  blazer: 3.1,
+  blazes: 3.2,
+  blazon: 1.3,
+  bleach: 3.4,
+  bleary: 1.6,
+  bleats: 1.9,
+  bleeds: 3.2,
+  bleeps: 2.8,
+  blends: 2.4,
+  blight: 2.8,
+  blimps: 2.3,
+  blinds: 3.3,
+  blinks: 2.8,
+  blintz: 1.9,
+  blithe: 2.3,
+  bloats: 1.9,
+  blocks: 4.2,
+  blonde: 4.1,
+  blonds: 2.8,
+  bloods: 2.9,
+  bloody: 4.6,
+  blooms: 2.8,
+  blotch: 2.3,
+  blouse: 3.7,
+  blower: 2.5,
+  blowup: 2.5,
+  blowzy: 1.3,
+  bluffs: 2.7,
+  bluing: 1.3,
+  bluish: 2.1,
+  blunts: 2.5,
+  blurbs: 1.9,
+  blurry: 3.1,
+  blurts: 2,
+  boards: 3.6,
+  boasts: 2.5,
+  boater: 1.3,
+  bobbed: 2.2,
+  bobbin: 2.1,
+  bobble: 1.9,
+  bobcat: 2.6,
+  bodega: 3.1,
+  bodice: 2.3,
+  bodies: 4.5,
+  bodily: 3.3,
+  bodkin: 2,
+  bogeys: 2.7,
+  bogged: 2.7,
+  boggle: 2.6,
+  bogies: 2.3,
+  boiled: 3.5,
+  boiler: 3.5,
+  bolder: 2.7,
+  boldly: 2.8,
+  bolero: 2.1,
+  bolted: 3.3,
+  bombed: 3.6,
+  bomber: 3.6,
+  bonbon: 2.7,
+  bonded: 3.2,
+  boners: 2.1,
+  bonged: 1.3,
+  bongos: 2.5,
+  bonier: 1.8,
+  boning: 2.9,
+  bonito: 2.3,
+  bonnet: 3.3,
+  bonsai: 3,
+  boobed: 1.3,
+  boodle: 2.7,
+  boogie: 3.7,
+  booing: 3,
+  booked: 4,
+  bookie: 3.4,
+  boomed: 1.3,
+  boosts: 2.3,
+  booted: 2.9,
+  booths: 3,
+  boozed: 1.3,
+  boozer: 2.5,
+  boozes: 1.3,
+  bopped: 2,
+  border: 4.2,
+  boring: 4.4,
+  borrow: 4.5,
+  bosoms: 2.8,
+  bossed: 2.1,
+  bosses: 3.6,
+  botany: 2.6,
+  bother: 4.8,
+  bottle: 4.7,
+  bottom: 4.7,
+  boughs: 2.5,
+  bought: 4.9,
+  bounce: 4,
+  bouncy: 3.3,
+  bounds: 3.4,
+  bounty: 3.9,
+  bovine: 2.6,
+  bowels: 3.2,
+  bowers: 3.1,
+  bowing: 3.1,
+  bowled: 2.8,
+  bowler: 3.1,
+  bowman: 3.6,
+  bowmen: 2.2,
+  boxcar: 2.8,
+  boxers: 3.3,
+  boxing: 3.9,
+  boyish: 2.8,
+  braced: 2.4,
+  braces: 3.5,
+  braids: 2.9,
+  brains: 4.4,
+  brainy: 3,
+  braked: 1.3,
+  brakes: 3.8,
+  branch: 4,
+  brands: 3,
+  brandy: 4,
+  brassy: 2.1,
+  bratty: 2.1,
+  braved: 2.4,
+  braver: 3.1,
+  braves: 2.8,
+  bravos: 2.1,
+  brawls: 2.2,
+  brawny: 2.2,
+  brazen: 3.1,
+  breach: 3.8,
+  breads: 2.1,
+  breaks: 4.3,
+  breast: 4,
+  breath: 4.7,
+  breech: 2.8,
+  breeds: 3,
+  breeze: 3.9,
+  breezy: 2.9,
+  brewed: 2.6,
+  brewer: 2.9,
+  bribed: 3.3,
+  bribes: 3.2,
+  bricks: 3.6,
+  bridal: 3.4,
+  brides: 3,
+  bridge: 4.7,
+  bridle: 2.5,
+  briefs: 2.9,
+  briers: 1.9,
+  bright: 4.6,
+  brings: 4.5,
+  brinks: 2.1,
+  broach: 2.7,
+  broads: 3.6,
+  brogan: 3.1,
+  brogue: 2.2,
+  broils: 1.3,
+  broken: 4.9,
+  broker: 3.6,
+  bronco: 3.1,
+  bronze: 3.4,
+  brooch: 3.1,
+  broods: 1.3,
+  brooks: 3.9,
+  brooms: 2.7,
+  broths: 1.3,
+  browns: 3.2,
+  browse: 2.8,
+  bruins: 2.2,
+  bruise: 3.5,
+  brunch: 3.6,
+  brunet: 1.3,
+  brutal: 3.9,
+  brutes: 2.7,
+  bubble: 3.9,
+  bubbly: 3.1,
+  bucked: 2.5,
+  bucket: 4,
+  buckle: 3.7,
+  budded: 1.3,
+  budged: 2.1,
+  budget: 4,
+  budgie: 1.6,
+  buffed: 2.5,
+  buffer: 3.2,
+  buffet: 3.6,
+  bugged: 3.4,
+  bugger: 3.6,
+  bugler: 3.1,
+  bugles: 2.5,
+  builds: 3.5,
+  bulged: 1.3,
+  bulges: 2,
+  bulked: 1.8,
+  bulled: 1.6,
+  bullet: 4.6,
+  bumble: 2.4,
+  bummed: 3.4,
+  bummer: 3.6,
+  bumped: 3.8,
+  bumper: 3.6,
+  bundle: 3.6,
+  bunged: 1.9,
+  bungle: 2.2,
+  bunion: 2.8,
+  bunked: 2.1,
+  bunker: 3.7,
+  bunkum: 1.3,
+  bunted: 1.3,
+  buoyed: 2,
+  burble: 1.6,
+  burden: 4,
+  bureau: 4,
+  burger: 4,
+  burgle: 2.2,
+  burial: 3.7,
+  buried: 4.5,
+  buries: 2.9,
+  burkas: 1.6,
+  burlap: 2.3,
+  burned: 4.5,
+  burner: 3.3,
+  burped: 2.5,
+  burros: 2.8,
+  burrow: 2.7,
+  bursar: 2.2,
+  bursts: 3.1,
+  busboy: 3.2,
+  bushed: 2.9,
+  bushel: 2.8,
+  bushes: 3.7,
+  busied: 1.6,
+  busier: 2.7,
+  busies: 1.3,
+  busily: 1.9,
+  busing: 2.4,
+  busted: 4.4,
+  buster: 4.2,
+  bustle: 2.9,
+  butane: 2.5,
+  butler: 4,
+  butted: 2.6,
+  butter: 4.3,
+  buttes: 2.1,
+  button: 4.5,
+  buyers: 3.4,
+  buying: 4.5,
+  buyout: 2.3,
+  buzzed: 3,
+  buzzer: 3.6,
+  buzzes: 3.1,
+  bygone: 2.4,
+  bylaws: 2.6,
+  byline: 2.6,
+  bypass: 3.6,
+  byways: 2.2,
+  byword: 1.6,
+  cabals: 1.6,
+  cabana: 3,
+  cabins: 3,
+  cabled: 2.6,
+  cables: 3.3,
+  caches: 1.8,
+  cachet: 2.2,
+  cackle: 2.5,
+  cactus: 3.5,
+  caddie: 2.8,
+  cadets: 3.2,
+  cadres: 1.9,
+  caftan: 2,
+  caging: 1.3,
+  cahoot: 1.6,
+  cairns: 1.3,
+  cajole: 2.1,
+  calico: 2.5,
+  caliph: 2.2,
+  called: 5.5,
+  caller: 3.6,
+  callow: 2.4,
+  callus: 2.3,
+  calmed: 3.2,
+  calmer: 2.8,
+  calmly: 3.4,
+  calves: 3.2,
+  camels: 3.1,
+  cameos: 2,
+  camera: 4.8,
+  camped: 3.1,
+  camper: 3.2,
+  campus: 4,
+  canals: 2.8,
+  canard: 2.1,
+  canary: 3.5,
+  cancan: 2.4,
+  cancel: 4.3,
+  cancer: 4.3,
+  candid: 3.3,
+  candle: 3.9,
+  candor: 3,
+  canine: 3.2,
+  caning: 1.9,
+  canker: 2.6,
+  canned: 3.6,
+  cannon: 3.9,
+  cannot: 5.1,
+  canoes: 2.8,
+  canons: 2.6,
+  canopy: 3.2,
+  canter: 2.3,
+  canton: 2.7,
+  cantor: 2.5,
+  canvas: 3.6,
+  canyon: 3.9,
+  capers: 2.8,
+  caplet: 1.6,
+  capons: 1.8,
+  capped: 3.1,
+  captor: 2.5,
+  carafe: 2,
+  carats: 2.9,
+  carbon: 3.7,
+  carded: 2.3,
+  careen: 1.9,
+  career: 4.7,
+  caress: 3.1,
+  caring: 3.8,
+  carnal: 3.1,
+  carols: 2.8,
+  carpal: 2.7,
+  carpel: 1.6,
+  carpet: 4.1,
+  carrel: 1.3,
+  carrot: 3.6,
+  carted: 2.1,
+  cartel: 3.1,
+  carton: 3.3,
+  carved: 3.6,
+  carver: 3.5,
+  carves: 2.2,
+  casein: 1.3,
+  cashed: 3.3,
+  cashes: 2.3,
+  cashew: 2.3,
+  casing: 3.3,
+  casino: 4.3,
+  casket: 3.5,
+  cassia: 1.3,
+  caster: 1.9,
+  castle: 4.3,
+  castor: 3.1,
+  casual: 3.9,
+  catchy: 3.3,
+  caters: 2.2,
+  catgut: 2.4,
+  cation: 1.3,
+  catnap: 2.2,
+  catnip: 2.6,
+  cattle: 4.1,
+  caucus: 2.5,
+  caught: 5,
+  caulks: 1.3,
+  causal: 2.3,
+  caused: 4.4,
+  causes: 4,
+  caveat: 2.5,
+  cavern: 3,
+  caviar: 3.6,
+  caving: 2.8,
+  cavity: 3.5,
+  cavort: 1.8,
+  cawing: 2.6,
+  ceased: 3.1,
+  ceases: 2.9,
+  cedars: 2.9,
+  ceding: 1.6,
+  celery: 3.3,
+  cellar: 4,
+  cement: 3.7,
+  censor: 2.9,
+  census: 3.1,
+  center: 4.7,
+  cereal: 3.8,
+  cervix: 2.6,
+  cesium: 1.9,
+  chafed: 2,
+  chafes: 2.1,
+  chaffs: 2.1,
+  chains: 3.9,
+  chairs: 4,
+  chaise: 2.5,
+  chalet: 2.7,
+  chalks: 1.3,
+  chalky: 2.1,
+  champs: 3,
+  chance: 5.4,
+  chancy: 2.3,
+  change: 5.4,
+  chants: 2.8,
+  chapel: 3.9,
+  charge: 5,
+  charms: 3.5,
+  charts: 3.8,
+  chased: 3.9,
+  chaser: 3.1,
+  chases: 3.1,
+  chasms: 1.9,
+  chaste: 2.8,
+  chatty: 3,
+  cheats: 3.3,
+  checks: 4.2,
+  cheeks: 3.6,
+  cheeky: 3.1,
+  cheers: 4.4,
+  cheery: 3,
+  cheese: 4.6,
+  cheesy: 3.4,
+  cherry: 4.1,
+  cherub: 2.8,
+  chests: 3,
+  chewed: 3.4,
+  chewer: 1.9,
+  chicer: 1.3,
+  chichi: 1.6,
+  chicks: 4.2,
+  chided: 1.9,
+  chiefs: 3.7,
+  chills: 3.3,
+  chilly: 3.6,
+  chimed: 2,
+  chimes: 3.2,
+  chimps: 3.1,
+  chinks: 2.9,
+  chinos: 2.1,
+  chintz: 2.3,
+  chirps: 2.2,
+  chisel: 2.9,
+  chitin: 1.3,
+  chives: 2.5,
+  chocks: 2.3,
+  choice: 5,
+  choirs: 2.6,
+  choked: 3.5,
+  choker: 2.5,
+  chokes: 2.8,
+  choler: 1.8,
+  choose: 4.7,
+  choosy: 2.8,
+  choppy: 2.4,
+  choral: 2.3,
+  chords: 3.2,
+  chores: 3.6,
+  chorus: 3.8,
+  chosen: 4.3,
+  chrome: 3.1,
+  chubby: 3.6,
+  chucks: 2.4,
+  chummy: 3,
+  chumps: 2.9,
+  chunks: 3.3,
+  chunky: 3.1,
+  church: 4.8,
+  churns: 2.2,
+  chutes: 2.9,
+  cicada: 1.8,
+  cigars: 3.8,
+  cinder: 2.9,
+  cinema: 3.6,
+  cipher: 3.2,
+  circle: 4.3,
+  circus: 4.2,
+  cirrus: 2.1,
+  cities: 3.9,
+  citing: 2.8,
+  citric: 1.6,
+  citron: 1.3,
+  citrus: 2.7,
+  civets: 1.3,
+  civics: 2.6,
+  clacks: 1.3,
+  claims: 4.1,
+  clammy: 2.8,
+  clamor: 2.1,
+  clamps: 3,
+  clangs: 2.4,
+  clanks: 2.4,
+  claret: 2.5,
+  classy: 3.8,
+  clause: 3.4,
+  clawed: 2.5,
+  cleans: 3.4,
+  clears: 3.9,
+  cleats: 2.6,
+  cleave: 2.3,
+  clefts: 1.3,
+  clench: 2.6,
+  clergy: 3,
+  cleric: 3.1,
+  clerks: 3.3,
+  clever: 4.4,
+  clicks: 3.6,
+  client: 4.7,
+  cliffs: 3.3,
+  climax: 3.3,
+  climbs: 3,
+  climes: 2.3,
+  clinch: 2.8,
+  clings: 2.7,
+  clingy: 2.8,
+  clinic: 4.1,
+  clinks: 1.9,
+  clique: 2.9,
+  cloaks: 2.1,
+  cloche: 2.2,
+  clocks: 3.5,
+  clomps: 1.3,
+  cloned: 3,
+  clones: 2.9,
+  closed: 4.7,
+  closer: 4.7,
+  closes: 3.8,
+  closet: 4.4,
+  clothe: 2.9,
+  cloths: 2.6,
+  clouds: 4,
+  cloudy: 3.3,
+  clouts: 1.6,
+  cloven: 2.1,
+  clover: 3.1,
+  cloves: 2.8,
+  clowns: 3.8,
+  clucks: 2.1,
+  clumps: 1.9,
+  clumsy: 3.7,
+  clunks: 1.9,
+  clunky: 2.5,
+  clutch: 3.4,
+  coaled: 1.3,
+  coarse: 3.1,
+  coasts: 2.5,
+  coated: 2.6,
+  coaxed: 2.2,
+  coaxes: 1.3,
+  cobalt: 2.8,
+  cobble: 2,
+  cobras: 2.6,
+  cobweb: 2.3,
+  coccyx: 2.1,
+  cocked: 2.9,
+  cockle: 1.9,
+  cocoas: 1.3,
+  cocoon: 3,
+  coddle: 2.5,
+  codger: 2.3,
+  codify: 1.3,
+  coding: 2.9,
+  coerce: 2.6,
+  coffee: 5.2,
+  coffer: 2,
+  coffin: 4,
+  cogent: 2.3,
+  cognac: 3.4,
+  cohort: 2.3,
+  coiled: 2.4,
+  coined: 2.7,
+  coital: 2,
+  coitus: 2.4,
+  colder: 3.4,
+  coldly: 2.1,
+  collar: 4,
+  collie: 3,
+  colons: 1.9,
+  colony: 3.8,
+  colors: 4,
+  column: 4,
+  combat: 4.1,
+  combed: 3,
+  combos: 2,
+  comedy: 4.1,
+  comely: 2.6,
+  comers: 2.4,
+  comets: 2.7,
+  comics: 3.6,
+  coming: 5.7,
+  commas: 2.5,
+  commit: 4.3,
+  common: 4.6,
+  compel: 3,
+  comply: 3.4,
+  concur: 3.1,
+  condom: 3.7,
+  condor: 3.1,
+  condos: 3,
+  confab: 2.2,
+  confer: 3.1,
+  congas: 2,
+  conked: 2.7,
+  conned: 3.1,
+  consul: 3.6,
+  convex: 2.2,
+  convey: 3.4,
+  convoy: 3.6,
+  cooing: 2.7,
+  cooked: 4,
+  cooker: 2.8,
+  cookie: 4.2,
+  cooled: 3.1,
+  cooler: 3.8,
+  coolie: 2.7,
+  coolly: 2.1,
+  cooped: 3.2,
+  cooper: 4.2,
+  cootie: 2.2,
+  copied: 3.4,
+  copier: 2.8,
+  copies: 4,
+  coping: 3,
+  copped: 3,
+  copper: 3.8,
+  copter: 2.6,
+  copula: 1.3,
+  corals: 1.9,
+  corded: 1.3,
+  cordon: 3,
+  corked: 2.4,
+  cornea: 2.5,
+  corned: 3.1,
+  corner: 4.7,
+  cornet: 2.3,
+  corona: 3.1,
+  corpse: 4,
+  corpus: 3.2,
+  corral: 3.4,
+  corset: 2.9,
+  cortex: 3,
+  cosign: 2.4,
+  cosine: 2.1,
+  cosmic: 3.6,
+  cosmos: 3.5,
+  costar: 2.4,
+  costed: 1.6,
+  costly: 3.2,
+  cotter: 2.5,
+  cotton: 4.2,
+  cougar: 3.3,
+  coughs: 3.5,
+  counts: 4.1,
+  county: 4.5,
+  coupes: 2,
+  couple: 5.3,
+  coupon: 3.3,
+  course: 5.7,
+  courts: 3.8,
+  cousin: 4.7,
+  covens: 2,
+  covers: 4,
+  covert: 3.5,
+  covets: 2.3,
+  coveys: 1.3,
+  coward: 4.2,
+  cowboy: 4.3,
+  cowpox: 2.1,
+  coyote: 3.6,
+  cozier: 2.2,
+  cozies: 1.8,
+  cozily: 1.3,
+  crabby: 3,
+  cracks: 3.7,
+  cradle: 3.5,
+  crafts: 3.1,
+  crafty: 3,
+  craggy: 1.6,
+  cramps: 3.2,
+  craned: 1.6,
+  cranes: 2.9,
+  cranks: 2.3,
+  cranky: 3.5,
+  cranny: 2.6,
+  crapes: 1.3,
+  crappy: 3.7,
+  crated: 2.1,
+  crater: 3.4,
+  crates: 3.3,
+  cravat: 3.3,
+  craved: 2.5,
+  craven: 2.9,
+  craves: 2.7,
+  crawls: 3,
+  crayon: 2.6,
+  crazed: 3.3,
+  crazes: 1.3,
+  creaks: 3,
+  creaky: 2.4,
+  creams: 2.8,
+  creamy: 3.1,
+  crease: 3.1,
+  create: 4.4,
+  credit: 4.7,
+  creeds: 2.2,
+  creeks: 2.2,
+  creeps: 3.8,
+  creepy: 4,
+  creole: 3,
+  crepes: 2.5,
+  crests: 2.1,
+  cretin: 3,
+  crewed: 2.1,
+  crimes: 4.1,
+  cringe: 2.7,
+  crises: 2.7,
+  crisis: 4.2,
+  crisps: 2.4,
+  crispy: 3.4,
+  critic: 3.6,
+  croaks: 2.5,
+  crocks: 1.8,
+  crocus: 1.8,
+  crofts: 1.6,
+  crones: 1.8,
+  crooks: 3.5,
+  crotch: 3.4,
+  crouch: 2.9,
+  crowds: 3.5,
+  crowed: 2.4,
+  crowns: 3,
+  cruddy: 2.5,
+  cruder: 1.9,
+  cruise: 4.1,
+  crumbs: 3.4,
+  crumby: 1.8,
+  crummy: 3.5,
+  crunch: 3.5,
+  crusts: 2.7,
+  crusty: 3,
+  crutch: 3.1,
+  crying: 4.7,
+  crypts: 2,
+  cubing: 1.8,
+  cubism: 2.1,
+  cubist: 1.6,
+  cubits: 2.5,
+  cuckoo: 3.5,
+  cuddle: 3.3,
+  cuddly: 3.1,
+  cudgel: 1.3,
+  cuffed: 2.7,
+  culled: 2,
+  cupful: 1.3,
+  cupids: 1.9,
+  cupped: 2,
+  curate: 2,
+  curbed: 1.3,
+  curdle: 2.2,
+  curfew: 3.7,
+  curies: 2.1,
+  curing: 3,
+  curios: 2.2,
+  curled: 3,
+  curler: 2,
+  curlew: 1.3,
+  cursed: 3.9,
+  curses: 3.2,
+  cursor: 1.8,
+  curtsy: 2.8,
+  curved: 2.8,
+  curves: 3.1,
+  cussed: 2.2,
+  custom: 3.8,
+  cutest: 3.5,
+  cutesy: 2.4,
+  cutlet: 2.5,
+  cutoff: 2.8,
+  cutout: 2.5,
+  cutter: 3.7,
+  cutups: 1.6,
+  cycled: 2.2,
+  cycles: 3.1,
+  cyclic: 2.2,
+  cymbal: 2.4,
+  cynics: 2.4,
+  cystic: 2.7,
+  dabbed: 1.6,
+  dabble: 2.8,
+  dactyl: 1.3,
+  daemon: 2.4,
+  dagger: 3.7,
+  dahlia: 2.7,
+  dainty: 3.1,
+  damage: 4.5,
+  damask: 2.1,
+  dammed: 2.3,
+  damned: 4.2,
+  dampen: 2.5,
+  damper: 2.9,
+  damsel: 2.9,
+  damson: 1.3,
+  danced: 4,
+  dancer: 4.2,
+  dances: 3.8,
+  dander: 2.5,
+  danger: 4.6,
+  dangle: 3.1,
+  danker: 2.7,
+  dapper: 2.7,
+  daring: 3.6,
+  darken: 2.6,
+  darker: 3.4,
+  darkly: 2.1,
+  darned: 3.3,
+  darted: 1.6,
+  dashed: 3,
+  dashes: 2.3,
+  dating: 4.5,
+  daunts: 1.6,
+  davits: 1.3,
+  dawdle: 2.8,
+  dawned: 3,
+  daybed: 1.3,
+  dazzle: 3,
+  deacon: 3.5,
+  deaden: 2.2,
+  deader: 3,
+  deadly: 4,
+  deafen: 1.6,
+  deafer: 1.3,
+  dealer: 4.2,
+  dearer: 2.4,
+  dearly: 3.7,
+  dearth: 2,
+  deaths: 3.9,
+  debark: 1.8,
+  debase: 2.1,
+  debate: 4,
+  debits: 1.6,
+  debris: 3.5,
+  debtor: 2.5,
+  debunk: 2.1,
+  debuts: 1.9,
+  decade: 3.7,
+  decals: 2.1,
+  decamp: 1.3,
+  decays: 1.9,
+  deceit: 3.3,
+  decent: 4.4,
+  decide: 4.7,
+  decked: 2.8,
+  decode: 3,
+  decoys: 2.6,
+  decree: 3.3,
+  deduce: 2.8,
+  deduct: 3,
+  deeded: 1.8,
+  deejay: 2.8,
+  deemed: 3.1,
+  deepen: 2.4,
+  deeper: 4.1,
+  deeply: 4.2,
+  deface: 2,
+  defame: 1.3,
+  defeat: 4.1,
+  defect: 3.4,
+  defend: 4.3,
+  defied: 3,
+  defies: 2.9,
+  defile: 2.5,
+  define: 3.8,
+  deform: 2.1,
+  defray: 1.9,
+  deftly: 2.2,
+  defuse: 2.9,
+  degree: 4.2,
+  deigns: 2.1,
+  deject: 1.3,
+  delays: 3.2,
+  delete: 3.2,
+  deltas: 2.1,
+  delude: 2.6,
+  deluge: 2.6,
+  deluxe: 3.3,
+  delved: 1.3,
+  delves: 1.8,
+  demand: 4.2,
+  demean: 2.5,
+  demise: 3.2,
+  demons: 4.1,
+  demote: 1.6,
+  demure: 2.6,
+  demurs: 1.3,
+  denial: 3.7,
+  denied: 4.1,
+  denies: 3.3,
+  denims: 2,
+  denote: 1.9,
+  denser: 2.2,
+  dental: 3.8,
+  dented: 2.9,
+  dentin: 1.3,
+  depart: 3.3,
+  depend: 4,
+  depict: 2.7,
+  deploy: 3.4,
+  deport: 2.9,
+  depose: 2.6,
+  depots: 2.4,
+  depths: 3.5,
+  depute: 1.3,
+  deputy: 4.2,
+  derail: 2.8,
+  deride: 2,
+  derive: 2.8,
+  dermis: 1.8,
+  desert: 4.4,
+  design: 4.2,
+  desire: 4.3,
+  desist: 3,
+  despot: 2.3,
+  detach: 2.8,
+  detail: 4.3,
+  detain: 3.3,
+  detect: 3.7,
+  detest: 3.2,
+  detour: 3.3,
+  deuces: 3.1,
+  device: 4.3,
+  devils: 3.7,
+  devise: 2.8,
+  devoid: 2.8,
+  devote: 3.3,
+  devour: 3,
+  devout: 2.9,
+  dewlap: 1.3,
+  dharma: 2.8,
+  diadem: 1.6,
+  dialed: 3.2,
+  dialog: 2.1,
+  diaper: 3.6,
+  dibble: 1.9,
+  dicier: 1.3,
+  dicing: 2.4,
+  dicker: 2.2,
+  dickey: 2.7,
+  dictum: 1.3,
+  diddle: 2.9,
+  diesel: 3.4,
+  dieter: 2,
+  differ: 3.4,
+  digest: 3.5,
+  digger: 3.7,
+  digits: 3.3,
+  dilate: 2.4,
+  dilute: 2.6,
+  dimmed: 2.4,
+  dimmer: 2.5,
+  dimple: 2.6,
+  dimwit: 2.9,
+  diners: 2.9,
+  dinged: 2.2,
+  dinghy: 2.8,
+  dining: 4.1,
+  dinner: 5.3,
+  diodes: 1.8,
+  dioxin: 2,
+  dipped: 3.3,
+  dipper: 2.8,
+  direct: 4.4,
+  direst: 1.8,
+  dirges: 1.3,
+  disarm: 3.3,
+  disbar: 1.9,
+  discos: 2.1,
+  discus: 2.4,
+  dished: 2.3,
+  dishes: 4.1,
+  dismal: 3,
+  dismay: 2.7,
+  disown: 2.6,
+  dispel: 2.4,
+  dissed: 2.7,
+  disuse: 1.8,
+  dither: 1.9,
+  divers: 3.2,
+  divert: 3.3,
+  divest: 1.9,
+  divide: 3.8,
+  divine: 4.1,
+  diving: 3.8,
+  divots: 2.1,
+  doable: 3,
+  docent: 2.1,
+  docile: 2.7,
+  docked: 3,
+  docket: 3.1,
+  doctor: 5.4,
+  dodder: 1.3,
+  dodged: 3,
+  dodger: 3.1,
+  dodges: 2.1,
+  doffed: 1.6,
+  dogged: 2.7,
+  dogies: 2.1,
+  dogmas: 1.3,
+  doings: 2.7,
+  doling: 2.6,
+  dollar: 4.4,
+  dolled: 2.7,
+  dollop: 2.3,
+  domain: 3.4,
+  domino: 3.6,
+  donate: 3.6,
+  donkey: 3.7,
+  donned: 1.8,
+  donors: 3.1,
+  doodad: 2.2,
+  doodle: 3.3,
+  doomed: 3.9,
+  doping: 2.2,
+  dormer: 1.9,
+  dorsal: 2.7,
+  dosage: 3.3,
+  dosing: 2,
+  dotage: 2,
+  dotcom: 2.3,
+  doting: 2.4,
+  dotted: 3,
+  double: 4.8,
+  doubly: 2.7,
+  doubts: 3.8,
+  douche: 3.4,
+  doughy: 2.6,
+  doused: 2.5,
+  douses: 1.6,
+  downed: 3,
+  downer: 2.9,
+  dowsed: 1.6,
+  doyens: 1.3,
+  dozens: 3.7,
+  dozing: 2.6,
+  drably: 1.3,
+  drafts: 2.9,
+  drafty: 2.8,
+  dragon: 4.3,
+  drains: 3.2,
+  dramas: 2.6,
+  draped: 2.6,
+  drapes: 3.5,
+  drawer: 4.1,
+  drawls: 1.3,
+  dreads: 2.3,
+  dreams: 4.8,
+  dreamy: 3.2,
+  dreary: 3.3,
+  dredge: 2.7,
+  drench: 2.3,
+  dressy: 2.8,
+  driers: 1.3,
+  driest: 2,
+  drifts: 2.9,
+  drills: 3.1,
+  drinks: 4.5,
+  drivel: 2.8,
+  driven: 4,
+  driver: 4.7,
+  drives: 4.2,
+  drones: 3.1,
+  drools: 2.2,
+  droops: 1.3,
+  droopy: 2.7,
+  dropsy: 1.3,
+  drover: 2,
+  droves: 2.5,
+  drowns: 2.9,
+  drowse: 1.8,
+  drowsy: 2.9,
+  drudge: 2.2,
+  druids: 2.5,
+  drunks: 3.4,
+  dryers: 2.3,
+  drying: 3.2,
+  dubbed: 2.7,
+  ducats: 2.9,
+  ducked: 3.1,
+  duding: 1.3,
+  duffer: 2.8,
+  dugout: 3,
+  dulcet: 2.1,
+  dulled: 2.3,
+  duller: 2.4,
+  dumber: 3.2,
+  dumbly: 1.6,
+  dumped: 4.3,
+  dunces: 2.3,
+  dunked: 2.6,
+  dunner: 2,
+  duping: 1.3,
+  duplex: 2.7,
+  duress: 3.1,
+  during: 4.9,
+  dusted: 3.1,
+  duster: 2.6,
+  duties: 3.9,
+  dwarfs: 3,
+  dweebs: 1.9,
+  dwells: 2.5,
+  dyeing: 2.3,
+  dynamo: 2.7,
+  eagles: 3.6,
+  earful: 2.6,
+  earned: 4.1,
+  earner: 2.5,
+  earths: 2.3,
+  earthy: 2.6,
+  earwax: 2.2,
+  earwig: 2,
+  easels: 1.3,
+  easier: 4.6,
+  easily: 4.4,
+  easing: 2.8,
+  eaters: 2.7,
+  eatery: 2.3,
+  eating: 4.8,
+  ebbing: 1.8,
+  echoed: 2.4,
+  echoes: 3.1,
+  eczema: 2.2,
+  eddies: 2.1,
+  edgier: 2,
+  edging: 2.5,
+  edible: 3.1,
+  edicts: 2.2,
+  edited: 3.1,
+  editor: 4.1,
+  eerily: 2.3,
+  efface: 1.3,
+  effect: 4.4,
+  effete: 1.8,
+  effigy: 2.4,
+  effort: 4.3,
+  egging: 2.3,
+  eggnog: 3.2,
+  egoism: 1.6,
+  egoist: 2,
+  egress: 2.3,
+  egrets: 1.8,
+  eighth: 3.8,
+  eights: 3.1,
+  eighty: 3.4,
+  either: 5.3,
+  ejects: 1.9,
+  elated: 2.4,
+  elbows: 3.4,
+  elders: 3.7,
+  eldest: 3.2,
+  elects: 2.3,
+  eleven: 4.1,
+  elicit: 2.7,
+  elites: 1.8,
+  elixir: 3,
+  eloped: 2.8,
+  elopes: 1.6,
+  eluded: 2.8,
+  eludes: 2.3,
+  emails: 2.9,
+  embalm: 1.9,
+  embark: 3.1,
+  embers: 2.4,
+  emblem: 2.8,
+  embody: 2.5,
+  emboss: 1.3,
+  embryo: 2.9,
+  emcees: 1.3,
+  emerge: 3.2,
+  emetic: 1.6,
+  emotes: 1.3,
+  empire: 4.1,
+  employ: 3.5,
+  enable: 3.2,
+  enamel: 2.8,
+  encamp: 1.3,
+  encase: 1.6,
+  encode: 2,
+  encore: 3.4,
+  endear: 2.1,
+  ending: 4.2,
+  endive: 2.1,
+  endows: 1.6,
+  endure: 3.6,
+  enemas: 2.4,
+  energy: 4.5,
+  enfold: 2.5,
+  engage: 3.8,
+  engine: 4.5,
+  engulf: 2,
+  enigma: 3,
+  enjoin: 2.2,
+  enjoys: 3.5,
+  enlist: 3.2,
+  enmesh: 1.3,
+  enmity: 2.5,
+  enough: 5.7,
+  enrage: 2.4,
+  enrich: 2.4,
+  enroll: 2.8,
+  ensign: 3.6,
+  ensued: 2.5,
+  ensues: 2.2,
+  ensure: 3.7,
+  entail: 2.8,
+  enters: 3.6,
+  entice: 2.7,
+  entire: 4.9,
+  entity: 3.2,
+  entomb: 2,
+  entrap: 2.2,
+  envied: 3,
+  envies: 2.3,
+  envoys: 2.3,
+  enzyme: 3,
+  equals: 3.7,
+  equate: 2.6,
+  equine: 2.1,
+  equips: 2.6,
+  equity: 3.1,
+  erased: 3.6,
+  eraser: 3,
+  erases: 2.5,
+  ermine: 2.8,
+  eroded: 2.4,
+  erotic: 3.6,
+  errand: 3.6,
+  errant: 2.7,
+  erring: 1.6,
+  errors: 3.2,
+  ersatz: 2.1,
+  erupts: 2.4,
+  escape: 4.6,
+  eschew: 1.3,
+  escort: 4.2,
+  escrow: 3.2,
+  essays: 3,
+  estate: 4.3,
+  esteem: 3.2,
+  etched: 2.7,
+  etcher: 1.6,
+  ethics: 3.7,
+  ethnic: 3.3,
+  eulogy: 3.2,
+  eunuch: 3.1,
+  eureka: 3.2,
+  evaded: 2.4,
+  evades: 1.8,
+  evened: 2.2,
+  evenly: 2.9,
+  events: 4.2,
+  evicts: 1.6,
+  eviler: 1.8,
+  evilly: 1.6,
+  evoked: 2,
+  evokes: 2.4,
+  evolve: 3.2,
+  exacts: 1.9,
+  exalts: 1.8,
+  exceed: 3.1,
+  excels: 2.3,
+  except: 5,
+  excess: 3.5,
+  excise: 2.2,
+  excite: 3.3,
+  excuse: 5.6,
+  exempt: 2.9,
+  exerts: 2.1,
+  exhale: 3.2,
+  exhume: 2.7,
+  exiled: 3,
+  exiles: 2.3,
+  exists: 4.1,
+  exited: 2.9,
+  exodus: 2.9,
+  exotic: 3.8,
+  expand: 3.5,
+  expect: 5,
+  expels: 1.9,
+  expend: 1.9,
+  expert: 4.3,
+  expire: 3,
+  expiry: 1.9,
+  export: 3.1,
+  expose: 3.8,
+  extant: 2.1,
+  extend: 3.8,
+  extent: 3.6,
+  extols: 1.3,
+  extort: 2.8,
+  extras: 3.3,
+  exuded: 1.8,
+  exudes: 2.2,
+  eyeful: 2.6,
+  eyeing: 2.9,
+  eyelid: 2.5,
+  fabled: 2.7,
+  fables: 2.3,
+  fabric: 3.7,
+  facade: 2.9,
+  facets: 2.5,
+  facial: 3.8,
+  facile: 2.1,
+  facing: 4,
+  factor: 3.9,
+  fading: 3.4,
+  fagged: 2.1,
+  faggot: 3.8,
+  fagots: 1.3,
+  failed: 4.5,
+  faints: 2.5,
+  fairer: 2.7,
+  fairly: 4,
+  faiths: 2.4,
+  fakers: 2.3,
+  faking: 3.7,
+  fakirs: 1.9,
+  falcon: 3.5,
+  fallen: 4.2,
+  fallow: 2.9,
+  falter: 2.5,
+  family: 5.5,
+  famine: 3.2,
+  famish: 1.8,
+  famous: 4.7,
+  fandom: 1.6,
+  fanned: 2.5,
+  farces: 1.3,
+  farina: 1.3,
+  faring: 2.1,
+  farmed: 2.6,
+  farmer: 4.1,
+  farrow: 3.2,
+  farted: 3.1,
+  fasted: 1.9,
+  fasten: 3.6,
+  faster: 4.6,
+  father: 5.7,
+  fathom: 3,
+  fatten: 2.7,
+  fatter: 3.1,
+  faucet: 3.2,
+  faults: 3.3,
+  faulty: 3.2,
+  favors: 3.9,
+  fawned: 1.3,
+  faxing: 2.6,
+  fealty: 2.2,
+  feared: 3.8,
+  feasts: 2.3,
+  fecund: 1.6,
+  fedora: 2.4,
+  feeble: 3.2,
+  feebly: 1.3,
+  feeder: 2.8,
+  feeler: 2.1,
+  feigns: 1.9,
+  feisty: 3.1,
+  feline: 3,
+  felled: 2.3,
+  feller: 3.2,
+  fellow: 4.8,
+  felons: 3.1,
+  felony: 3.7,
+  female: 4.5,
+  femurs: 1.3,
+  fenced: 2.5,
+  fencer: 1.6,
+  fences: 3.4,
+  fended: 1.8,
+  fender: 3.4,
+  fennel: 2.9,
+  ferret: 3.2,
+  fervor: 2.5,
+  fester: 3.4,
+  feting: 1.3,
+  fetish: 3.4,
+  fetter: 1.3,
+  fettle: 2.1,
+  feudal: 2.3,
+  fevers: 2.3,
+  fewest: 2.2,
+  fezzes: 1.6,
+  fiasco: 3.2,
+  fibbed: 1.9,
+  fibber: 2.2,
+  fibers: 3.3,
+  fibula: 2.3,
+  fickle: 3.1,
+  fiddle: 3.6,
+  fiddly: 1.9,
+  fidget: 1.9,
+  fields: 4.1,
+  fiends: 2.9,
+  fierce: 3.7,
+  fiesta: 3.1,
+  fifths: 2.1,
+  fights: 4.1,
+  figure: 5.1,
+  filial: 2.5,
+  filing: 3.7,
+  filled: 4.4,
+  filler: 2.7,
+  fillet: 2.7,
+  filmed: 3.4,
+  filter: 3.5,
+  filthy: 4.2,
+  finale: 3.4,
+  finals: 3.8,
+  finder: 3.2,
+  finely: 2.9,
+  finery: 2.4,
+  finest: 4.2,
+  finger: 4.6,
+  fining: 2.2,
+  finish: 5,
+  finite: 2.8,
+  finked: 2.2,
+  firing: 4.3,
+  firmed: 1.6,
+  firmer: 2.5,
+  firmly: 3.4,
+  firsts: 2.7,
+  fiscal: 2.9,
+  fished: 3.1,
+  fisher: 3.9,
+  fishes: 3.4,
+  fitful: 1.6,
+  fitted: 3.2,
+  fitter: 2.2,
+  fixate: 2.1,
+  fixers: 1.3,
+  fixing: 4,
+  fizzed: 1.6,
+  fizzes: 1.3,
+  fizzle: 2.3,
+  fjords: 2.2,
+  flabby: 2.9,
+  flacks: 1.8,
+  flagon: 2.5,
+  flails: 1.6,
+  flaked: 2.4,
+  flakes: 3.3,
+  flamed: 2.2,
+  flames: 3.9,
+  flange: 2.4,
+  flanks: 2.8,
+  flared: 2.5,
+  flares: 3.1,
+  flashy: 3.3,
+  flasks: 1.8,
+  flatly: 2.2,
+  flaunt: 3,
+  flavor: 3.7,
+  flawed: 3.1,
+  flaxen: 2.1,
+  flayed: 2.5,
+  flecks: 2.6,
+  fleece: 3.1,
+  fleecy: 1.8,
+  fleets: 2.5,
+  fleshy: 2.8,
+  flexed: 2.4,
+  flexes: 1.9,
+  flicks: 2.9,
+  fliers: 3.1,
+  fliest: 1.3,
+  flight: 4.8,
+  flimsy: 2.9,
+  flinch: 3.1,
+  flings: 2.4,
+  flints: 1.8,
+  flinty: 2.2,
+  flirts: 2.7,
+  floats: 3.3,
+  flocks: 2.5,
+  floods: 3.1,
+  floors: 3.9,
+  floozy: 2.9,
+  floppy: 3.1,
+  floral: 2.9,
+  florid: 1.9,
+  florin: 2.5,
+  flours: 1.9,
+  floury: 1.6,
+  flouts: 1.3,
+  flowed: 2.8,
+  flower: 4.4,
+  fluent: 3.1,
+  fluffs: 1.3,
+  fluffy: 3.6,
+  fluids: 3.5,
+  flukes: 2.1,
+  flunks: 2,
+  flunky: 2.8,
+  flurry: 2.7,
+  flutes: 2.6,
+  flybys: 1.6,
+  flying: 4.7,
+  foaled: 1.3,
+  foamed: 1.6,
+  fobbed: 1.8,
+  fodder: 2.6,
+  fogged: 2.6,
+  fogies: 1.8,
+  foible: 1.6,
+  foiled: 2.6,
+  folded: 3.5,
+  folder: 3.2,
+  folios: 1.8,
+  folksy: 2.2,
+  follow: 5.1,
+  foment: 1.6,
+  fonder: 2.6,
+  fondle: 2.7,
+  fondly: 2.8,
+  fondue: 3,
+  fooled: 4,
+  footed: 1.8,
+  forage: 2.5,
+  forays: 1.8,
+  forbid: 3.9,
+  forced: 4.4,
+  forces: 4.3,
+  forded: 1.3,
+  forego: 2.8,
+  forest: 4.3,
+  forged: 3.6,
+  forger: 2.8,
+  forges: 2.2,
+  forget: 5.4,
+  forgot: 5,
+  forked: 2.4,
+  formal: 3.9,
+  format: 3,
+  formed: 3.7,
+  former: 4.3,
+  forums: 1.8,
+  fossil: 3.2,
+  foster: 4.1,
+  fought: 4.4,
+  fouled: 3.2,
+  fouler: 2,
+  foully: 2.2,
+  founds: 1.6,
+  fourth: 4.4,
+  foxier: 1.6,
+  fracas: 2.3,
+  framed: 3.7,
+  framer: 1.8,
+  frames: 3.3,
+  francs: 3.7,
+  franks: 3.3,
+  frauds: 2.9,
+  frayed: 2.7,
+  freaks: 3.9,
+  freaky: 3.7,
+  freely: 3.6,
+  freest: 1.9,
+  freeze: 4.5,
+  french: 4.8,
+  frenzy: 3.3,
+  fresco: 2.5,
+  friars: 2.1,
+  fridge: 4,
+  friend: 5.6,
+  frieze: 1.6,
+  fright: 3.4,
+  frigid: 3.1,
+  frills: 2.6,
+  frilly: 2.5,
+  fringe: 3.2,
+  frisks: 1.3,
+  frisky: 3.2,
+  frizzy: 2.5,
+  frocks: 2.4,
+  frolic: 2.9,
+  fronds: 2.1,
+  fronts: 3,
+  frosts: 1.9,
+  frosty: 3.4,
+  frothy: 2.4,
+  frowns: 2.5,
+  frowzy: 1.6,
+  frozen: 4.2,
+  frugal: 2.2,
+  fruits: 3.4,
+  fruity: 3.1,
+  frumps: 1.8,
+  frumpy: 2.2,
+  fryers: 1.8,
+  frying: 3.4,
+  fucked: 4.7,
+  fucker: 4.1,
+  fuddle: 1.8,
+  fudged: 1.9,
+  fudges: 1.3,
+  fueled: 3,
+  fuller: 3.7,
+  fumble: 2.9,
+  fuming: 2.2,
+  funded: 2.9,
+  fungal: 2.5,
+  fungus: 3.3,
+  funked: 1.6,
+  funnel: 3,
+  funner: 2.1,
+  furies: 2.5,
+  furled: 1.9,
+  furred: 1.8,
+  furrow: 2,
+  fusing: 2.1,
+  fusion: 3.4,
+  fussed: 2.2,
+  fusses: 1.6,
+  futile: 3.2,
+  futons: 2,
+  future: 5,
+  futzed: 1.3,
+  gabbed: 1.8,
+  gabble: 2.1,
+  gables: 2.8,
+  gadfly: 1.8,
+  gadget: 3.4,
+  gaffed: 1.3,
+  gagged: 2.9,
+  gaggle: 2.7,
+  gaiety: 2.7,
+  gained: 3.7,
+  galaxy: 3.8,
+  galena: 1.9,
+  galled: 1.6,
+  galley: 3.2,
+  gallon: 3.4,
+  gallop: 3,
+  galore: 2.9,
+  galosh: 1.6,
+  gambit: 2.6,
+  gamble: 4,
+  gambol: 1.3,
+  gamely: 1.8,
+  gamete: 1.6,
+  gamier: 1.3,
+  gamine: 1.8,
+  gaming: 3.4,
+  gammas: 2.9,
+  gander: 3,
+  ganged: 2.2,
+  gannet: 2.2,
+  gantry: 2.5,
+  gaping: 2.9,
+  garage: 4.4,
+  garden: 4.4,
+  gargle: 2.8,
+  garish: 2.3,
+  garlic: 3.8,
+  garner: 3.1,
+  garnet: 3,
+  garret: 3.3,
+  garter: 3.1,
+  gashed: 1.9,
+  gashes: 2.2,
+  gasket: 2.8,
+  gasped: 2.4,
+  gassed: 2.9,
+  gather: 4.2,
+  gauche: 2.6,
+  gaucho: 2.7,
+  gauged: 1.3,
+  gauges: 2.9,
+  gawked: 2,
+  gayest: 2.6,
+  gazebo: 3,
+  gazing: 2.9,
+  geared: 2.5,
+  geckos: 2,
+  geeing: 1.6,
+  geezer: 3.1,
+  geisha: 3.5,
+  gelded: 1.3,
+  gelled: 1.3,
+  gender: 3.4,
+  genera: 1.6,
+  genial: 2.3,
+  genies: 2.4,
+  genius: 4.5,
+  genome: 2.7,
+  genres: 2.1,
+  gentle: 4.2,
+  gently: 4,
+  gentry: 3.1,
+  geodes: 1.3,
+  gerbil: 2.9,
+  geyser: 2.3,
+  ghetto: 3.7,
+  ghosts: 4.1,
+  ghouls: 3,
+  giants: 3.6,
+  gibber: 1.6,
+  gibbet: 1.6,
+  gibbon: 2.4,
+  giblet: 2,
+  gifted: 3.7,
+  gigged: 1.6,
+  giggle: 3.2,
+  giggly: 2.3,
+  gigolo: 3.2,
+  gilded: 2.8,
+  gimlet: 2.2,
+  ginger: 3.8,
+  ginkgo: 2.2,
+  ginned: 1.9,
+  girded: 1.9,
+  girder: 2.6,
+  girdle: 3.2,
+  givens: 2.3,
+  giving: 5,
+  gizmos: 2.3,
+  glades: 3,
+  gladly: 3.7,
+  glance: 3.5,
+  glands: 3.2,
+  glared: 2.2,
+  glares: 1.6,
+  glassy: 2.5,
+  glazed: 3,
+  glazes: 1.3,
+  gleams: 2.1,
+  glibly: 1.8,
+  glided: 2.1,
+  glider: 2.8,
+  glides: 2.2,
+  glints: 1.6,
+  glitch: 3.3,
+  glitzy: 2,
+  global: 3.8,
+  globes: 2.5,
+  gloomy: 3.4,
+  glossy: 2.7,
+  gloved: 2.2,
+  gloves: 4.2,
+  glowed: 2.5,
+  gluing: 2.3,
+  gluten: 2.2,
+  gnarly: 3,
+  gnawed: 2.5,
+  gnomes: 2.6,
+  goaded: 2.2,
+  goalie: 3.2,
+  goatee: 3,
+  gobble: 3.4,
+  goblet: 2.6,
+  goblin: 3,
+  godson: 3,
+  gofers: 1.3,
+  goggle: 2.7,
+  goings: 2.5,
+  goiter: 2.3,
+  golden: 4.4,
+  golfer: 3,
+  gonads: 2.7,
+  goners: 2.3,
+  gonged: 1.6,
+  goober: 3.2,
+  goodly: 2.6,
+  goofed: 2.7,
+  google: 2.9,
+  goosed: 2.2,
+  gooses: 1.6,
+  gopher: 3.1,
+  gorged: 1.8,
+  gorges: 1.9,
+  goring: 2.8,
+  gospel: 3.5,
+  gossip: 3.9,
+  gotten: 4.7,
+  gouged: 2.5,
+  gouger: 1.6,
+  gouges: 2.1,
+  gourds: 2,
+  govern: 3.1,
+  gowned: 2,
+  graced: 2.5,
+  graces: 3,
+  graded: 2.9,
+  grader: 2.9,
+  grades: 3.9,
+  grafts: 2.5,
+  grains: 3,
+  grainy: 2.3,
+  grands: 1.6,
+  grange: 2.9,
+  granny: 3.9,
+  grants: 3.3,
+  grapes: 3.6,
+  graphs: 2.5,
+  grasps: 2,
+  grassy: 2.8,
+  grated: 2.2,
+  grater: 2.1,
+  grates: 2.4,
+  gratis: 2.5,
+  graved: 1.3,
+  gravel: 3.2,
+  graven: 2.1,
+  graver: 2.2,
+  graves: 3.8,
+  grayed: 1.6,
+  grayer: 1.6,
+  grazed: 3,
+  grazes: 1.6,
+  grease: 3.8,
+  greasy: 3.6,
+  greats: 2.8,
+  greedy: 3.8,
+  greens: 3.3,
+  greets: 2.6,
+  griefs: 1.9,
+  grieve: 3.3,
+  grille: 2.5,
+  grills: 2.2,
+  grimes: 3.1,
+  grimly: 2.1,
+  grinds: 2.5,
+  gringo: 3.3,
+  griped: 1.3,
+  gripes: 2.4,
+  grisly: 3,
+  gritty: 2.7,
+  groans: 3.9,
+  grocer: 2.8,
+  groggy: 3,
+  groins: 1.9,
+  grooms: 2.6,
+  groove: 3.6,
+  groovy: 3.6,
+  groped: 2.6,
+  gropes: 1.9,
+  grotto: 2.8,
+  grouch: 2.7,
+  ground: 4.9,
+  groups: 4,
+  grouse: 2.7,
+  grovel: 3.1,
+  groves: 3.1,
+  grower: 2.3,
+  growls: 3.4,
+  growth: 3.8,
+  grubby: 2.8,
+  grudge: 3.6,
+  grumpy: 3.4,
+  grunge: 2.5,
+  grungy: 2.4,
+  grunts: 3.8,
+  guards: 4.4,
+  guests: 4.4,
+  guffaw: 1.8,
+  guided: 3.3,
+  guides: 3.3,
+  guilds: 1.3,
+  guilty: 4.8,
+  guinea: 3.6,
+  guises: 1.8,
+  guitar: 4.2,
+  gulags: 1.3,
+  gulled: 1.3,
+  gullet: 2.7,
+  gulped: 1.6,
+  gummed: 1.9,
+  gunman: 3.3,
+  gunmen: 3.1,
+  gunned: 3.1,
+  gunner: 3.4,
+  gurgle: 2.4,
+  gurney: 3.4,
+  gushed: 1.9,
+  gusher: 2.6,
+  gushes: 1.9,
+  gusset: 1.8,
+  gutted: 3,
+  gutter: 3.7,
+  guzzle: 2.4,
+  gypped: 2.2,
+  gypsum: 2.4,
+  gyrate: 1.9,
+  habits: 3.8,
+  hacked: 3.6,
+  hacker: 3.3,
+  haggle: 2.9,
+  hailed: 2.9,
+  hairdo: 3.1,
+  haired: 2.4,
+  hallow: 2.2,
+  halted: 2.5,
+  halter: 2.7,
+  halved: 1.6,
+  halves: 3,
+  hamlet: 3.7,
+  hammer: 4.1,
+  hamper: 3.1,
+  handed: 4,
+  handle: 5,
+  hangar: 3.5,
+  hanged: 3.7,
+  hanger: 3.1,
+  hanker: 2.3,
+  hankie: 2.6,
+  hansom: 2.1,
+  happen: 5.4,
+  harass: 3.1,
+  harbor: 4,
+  harden: 2.7,
+  harder: 4.5,
+  hardly: 4.7,
+  harems: 1.6,
+  haring: 2.1,
+  harlot: 2.9,
+  harmed: 3.4,
+  harped: 1.8,
+  harrow: 2.2,
+  hashed: 2.2,
+  hassle: 3.4,
+  hasten: 2.9,
+  hastes: 1.3,
+  haters: 2.7,
+  hating: 3.7,
+  hatred: 3.7,
+  hatter: 2.7,
+  hauled: 3.1,
+  hauler: 1.8,
+  haunch: 1.9,
+  haunts: 3.1,
+  havens: 2.4,
+  having: 5.5,
+  hawing: 2.1,
+  hawked: 1.9,
+  hawker: 2.6,
+  hawser: 1.8,
+  haying: 1.3,
+  hazard: 3.6,
+  hazing: 3,
+  hazmat: 2.9,
+  headed: 4.5,
+  header: 2.7,
+  healed: 3.6,
+  healer: 3.2,
+  health: 4.6,
+  heaped: 2.4,
+  hearer: 1.6,
+  hearse: 3.2,
+  hearth: 2.8,
+  hearts: 4.4,
+  hearty: 3.3,
+  heated: 3.4,
+  heater: 3.4,
+  heaved: 2.3,
+  heaven: 4.8,
+  heaves: 2.1,
+  heckle: 2.5,
+  hectic: 3.3,
+  hector: 4,
+  hedged: 1.9,
+  hedges: 3.1,
+  heeded: 2.2,
+  heehaw: 1.3,
+  heeled: 1.9,
+  hefted: 1.6,
+  heifer: 3.1,
+  height: 4,
+  heists: 2.3,
+  helium: 3.2,
+  hellos: 2.4,
+  helmet: 4,
+  helped: 4.7,
+  helper: 3.3,
+  hemmed: 2.5,
+  herald: 3.4,
+  herbal: 3.2,
+  herded: 2.5,
+  herder: 2.9,
+  hereby: 3.8,
+  herein: 2.6,
+  heresy: 3,
+  hereto: 2.1,
+  hermit: 3.1,
+  hernia: 3.3,
+  heroes: 4.1,
+  heroic: 3.7,
+  heroin: 4,
+  herons: 1.6,
+  herpes: 3.1,
+  hewing: 1.3,
+  hexing: 1.6,
+  heyday: 2.2,
+  hiatus: 2.6,
+  hiccup: 2.7,
+  hickey: 3.1,
+  hidden: 4.3,
+  hiding: 4.6,
+  higher: 4.4,
+  highly: 4.3,
+  hijack: 3.2,
+  hikers: 2.6,
+  hiking: 3.4,
+  hinder: 2.9,
+  hinged: 2.1,
+  hinges: 3.2,
+  hinted: 2.7,
+  hipped: 2.1,
+  hipper: 2.1,
+  hippie: 3.4,
+  hippos: 2.3,
+  hiring: 3.7,
+  hissed: 2.4,
+  hisses: 2.8,
+  hither: 3,
+  hitter: 3.2,
+  hoagie: 2.9,
+  hoards: 1.6,
+  hoarse: 2.7,
+  hoaxed: 1.6,
+  hoaxer: 1.8,
+  hoaxes: 2.2,
+  hobbit: 3.2,
+  hobble: 2.5,
+  hobnob: 2.3,
+  hocked: 2.5,
+  hockey: 4.1,
+  hoeing: 2,
+  hogans: 2.3,
+  hogged: 2.1,
+  hoists: 2.2,
+  hokier: 1.3,
+  holder: 3.2,
+  holdup: 3.4,
+  holier: 2.4,
+  holing: 2.1,
+  holler: 3.8,
+  hollow: 4.1,
+  homage: 3.1,
+  homely: 3,
+  homers: 2,
+  homeys: 2.6,
+  homing: 3.1,
+  hominy: 2.7,
+  honcho: 3,
+  honest: 4.9,
+  honeys: 3,
+  honing: 2.5,
+  honked: 2.5,
+  honors: 3.6,
+  hooded: 2.5,
+  hoodie: 2.3,
+  hoodoo: 2.5,
+  hoofed: 2,
+  hookah: 1.6,
+  hooked: 4.1,
+  hooker: 4.1,
+  hookup: 2.9,
+  hoopla: 2.8,
+  hooray: 3.8,
+  hooted: 1.9,
+  hooter: 2.7,
+  hooves: 3.1,
+  hoping: 4.7,
+  hopped: 3.2,
+  hopper: 4,
+  hordes: 2.9,
+  horned: 2.7,
+  hornet: 3.1,
+  horrid: 3.4,
+  horror: 4,
+  horsed: 1.8,
+  horses: 4.6,
+  horsey: 2.9,
+  hosing: 2.4,
+  hosted: 2.7,
+  hostel: 2.8,
+  hotbed: 2.5,
+  hotels: 3.7,
+  hotter: 3.7,
+  hounds: 3.3,
+  hourly: 2.9,
+  housed: 2.9,
+  houses: 4.3,
+  hovels: 1.3,
+  hovers: 2.1,
+  howdah: 1.3,
+  howled: 2.4,
+  howler: 1.9,
+  hubbub: 2.5,
+  hubcap: 2.1,
+  hubris: 2.4,
+  huddle: 3.3,
+  huffed: 2.2,
+  hugely: 2.8,
+  hugest: 2.1,
+  hugged: 3.2,
+  humane: 3.3,
+  humans: 4.2,
+  humble: 4,
+  humbly: 3.3,
+  humbug: 3,
+  hummed: 2.2,
+  hummus: 2.6,
+  humors: 1.8,
+  humped: 2.6,
+  hunger: 3.8,
+  hungry: 4.9,
+  hunker: 2.5,
+  hunted: 3.6,
+  hunter: 4.3,
+  hurdle: 2.9,
+  hurled: 2.8,
+  hurrah: 3.4,
+  hurtle: 1.3,
+  hushed: 2.7,
+  hussar: 1.3,
+  hustle: 3.9,
+  hybrid: 3.3,
+  hyenas: 2.9,
+  hymens: 1.3,
+  hymnal: 2,
+  hyphen: 2.3,
+  hyping: 1.6,
+  iambic: 2.3,
+  icebox: 3.4,
+  icecap: 1.9,
+  icicle: 2.5,
+  ideals: 3.4,
+  idiocy: 2.8,
+  idioms: 1.3,
+  idiots: 4.1,
+  idlers: 2.1,
+  idlest: 1.6,
+  idling: 2.6,
+  igloos: 1.8,
+  ignite: 3,
+  ignore: 4.3,
+  iguana: 2.9,
+  imaged: 1.6,
+  images: 3.9,
+  imbibe: 2.2,
+  imbued: 2.2,
+  immune: 3.6,
+  impact: 4,
+  impair: 2.2,
+  impala: 2,
+  impale: 2.5,
+  impart: 2.7,
+  impede: 2.7,
+  impels: 1.3,
+  impish: 2,
+  import: 3.3,
+  impose: 3.5,
+  impugn: 2.2,
+  impure: 2.9,
+  impute: 1.3,
+  inborn: 1.9,
+  inbred: 2.8,
+  incest: 2.9,
+  inched: 1.3,
+  inches: 4.1,
+  incise: 2.3,
+  incite: 2.6,
+  income: 3.9,
+  incurs: 1.9,
+  indeed: 4.6,
+  indent: 2.1,
+  indict: 2.9,
+  indigo: 2.5,
+  indoor: 3.1,
+  induce: 3.2,
+  induct: 1.8,
+  infamy: 2.6,
+  infant: 3.6,
+  infect: 3.1,
+  infers: 1.6,
+  infest: 2.4,
+  infirm: 2.5,
+  inflow: 1.9,
+  influx: 2.4,
+  inform: 4.1,
+  infuse: 2.2,
+  ingest: 2.7,
+  ingots: 1.8,
+  inhale: 3.4,
+  inhere: 2,
+  inject: 3.4,
+  injure: 3,
+  injury: 4,
+  inlaid: 2.2,
+  inland: 3.1,
+  inlays: 1.6,
+  inlets: 1.3,
+  inmate: 3.4,
+  inmost: 2,
+  innate: 2.9,
+  inning: 3.4,
+  inputs: 1.6,
+  insane: 4.6,
+  inseam: 2.2,
+  insect: 3.5,
+  insert: 3.4,
+  insets: 1.3,
+  inside: 5.3,
+  insist: 4.3,
+  insole: 1.6,
+  instep: 2.5,
+  insult: 4.1,
+  insure: 3,
+  intact: 3.8,
+  intake: 3.1,
+  intend: 4.4,
+  intent: 3.7,
+  intern: 3.7,
+  intone: 1.3,
+  intros: 1.9,
+  intuit: 1.3,
+  inured: 1.8,
+  invade: 3.5,
+  invent: 3.7,
+  invert: 2.1,
+  invest: 3.7,
+  invite: 4.5,
+  invoke: 3,
+  inward: 2.9,
+  iodine: 3.1,
+  ipecac: 2.6,
+  irises: 2.4,
+  irking: 1.3,
+  ironed: 3,
+  ironic: 3.8,
+  island: 4.6,
+  issued: 3.7,
+  issues: 4.3,
+  italic: 1.8,
+  itched: 2.1,
+  itches: 3.1,
+  itself: 4.6,
+  jabbed: 2.2,
+  jabber: 2.7,
+  jackal: 3.2,
+  jacked: 3.3,
+  jacket: 4.5,
+  jagged: 2.8,
+  jaguar: 3.4,
+  jailed: 2.9,
+  jailer: 3.2,
+  jalopy: 2.8,
+  jammed: 3.9,
+  jangle: 2.5,
+  japans: 2.2,
+  jargon: 2.8,
+  jarred: 2.3,
+  jasper: 3.7,
+  jaunts: 1.8,
+  jaunty: 2.2,
+  jawing: 2.1,
+  jazzed: 2.8,
+  jeered: 1.9,
+  jejune: 2.2,
+  jelled: 1.3,
+  jerked: 2.9,
+  jerkin: 2.6,
+  jersey: 4.3,
+  jester: 3.4,
+  jetsam: 2.2,
+  jetted: 1.8,
+  jewels: 3.9,
+  jigger: 2.3,
+  jiggle: 3.1,
+  jigsaw: 3.3,
+  jihads: 1.3,
+  jilted: 2.7,
+  jingle: 3.7,
+  jinxed: 2.7,
+  jinxes: 2,
+  jitney: 2.1,
+  jiving: 2.4,
+  jobbed: 1.3,
+  jobber: 1.3,
+  jockey: 3.7,
+  jocose: 1.9,
+  jocund: 1.9,
+  jogged: 2.1,
+  jogger: 2.7,
+  joggle: 1.3,
+  joined: 4.2,
+  joiner: 2.5,
+  joints: 3.6,
+  joists: 2.4,
+  jokers: 3,
+  joking: 4.3,
+  jolted: 2.2,
+  joshed: 1.3,
+  jostle: 2,
+  jotted: 2.5,
+  joules: 2.4,
+  jousts: 2,
+  jovial: 2.3,
+  joyful: 3.2,
+  joying: 1.3,
+  joyous: 3.1,
+  judged: 3.6,
+  judges: 3.9,
+  jugged: 1.3,
+  juggle: 3.2,
+  juiced: 2.4,
+  juicer: 2.6,
+  juices: 3,
+  jujube: 1.6,
+  juleps: 2.1,
+  jumble: 2.5,
+  jumbos: 2.1,
+  jumped: 4.3,
+  jumper: 3.4,
+  jungle: 4.4,
+  junior: 4.6,
+  junked: 1.8,
+  junker: 2.1,
+  junket: 2.9,
+  junkie: 3.7,
+  juntas: 1.6,
+  juries: 3.2,
+  jurist: 2.4,
+  jurors: 3.4,
+  justly: 2.5,
+  karate: 3.9,
+  karats: 2.2,
+  kayaks: 1.8,
+  kazoos: 1.6,
+  kebabs: 2.4,
+  keeled: 2.7,
+  keener: 2.2,
+  keenly: 2.6,
+  keeper: 3.6,
+  kennel: 3,
+  kernel: 2.8,
+  kettle: 3.4,
+  keying: 2.2,
+  khakis: 2.6,
+  kibitz: 2.4,
+  kibosh: 2.5,
+  kicked: 4.5,
+  kicker: 3,
+  kidded: 2.4,
+  kidder: 2.9,
+  kiddie: 3.1,
+  kiddos: 2.1,
+  kidnap: 3.8,
+  kidney: 4,
+  killed: 5.5,
+  killer: 4.8,
+  kilter: 1.9,
+  kimono: 3,
+  kinder: 3,
+  kindle: 2.2,
+  kindly: 4,
+  kingly: 1.9,
+  kinked: 1.3,
+  kipper: 2.4,
+  kismet: 2.7,
+  kissed: 4.5,
+  kisser: 3.5,
+  kisses: 3.9,
+  kiting: 1.9,
+  kitsch: 2.5,
+  kitten: 3.7,
+  klutzy: 2,
+  knaves: 2.4,
+  kneels: 2.4,
+  knifed: 2.8,
+  knifes: 2.1,
+  knight: 4.4,
+  knives: 3.8,
+  knobby: 1.9,
+  knocks: 3.6,
+  knolls: 1.8,
+  knotty: 2.1,
+  koalas: 1.9,
+  kopeck: 2.1,
+  kosher: 3.4,
+  kowtow: 2.5,
+  labels: 3.3,
+  labial: 1.3,
+  labors: 2.5,
+  lacing: 2.1,
+  lacked: 3.1,
+  lackey: 2.8,
+  lactic: 2,
+  lacuna: 1.6,
+  ladder: 4,
+  laddie: 3.3,
+  ladies: 5.1,
+  lading: 2.4,
+  ladled: 1.3,
+  ladles: 2.5,
+  lagers: 1.3,
+  lagged: 1.9,
+  lagoon: 3.2,
+  lambda: 2.2,
+  lamely: 1.8,
+  lament: 3,
+  lamest: 2.6,
+  lammed: 1.9,
+  lanced: 2.1,
+  lancer: 2.6,
+  lances: 2.8,
+  lancet: 2.1,
+  landed: 4.1,
+  lander: 2.2,
+  lapels: 2.6,
+  lapped: 2.2,
+  lapsed: 2.6,
+  lapses: 2.4,
+  laptop: 3.5,
+  larder: 2.2,
+  larger: 3.9,
+  larges: 1.9,
+  largos: 1.3,
+  lariat: 2.1,
+  larvae: 2.8,
+  larval: 2.1,
+  larynx: 3.1,
+  lasers: 3.1,
+  lashed: 2.5,
+  lashes: 2.9,
+  lasses: 2.3,
+  lassie: 3.5,
+  lassos: 1.3,
+  lasted: 3.8,
+  lastly: 2.8,
+  lately: 4.7,
+  latent: 2.9,
+  latest: 4.3,
+  lather: 2.7,
+  lathes: 1.3,
+  latter: 3.1,
+  lattes: 2.7,
+  lauded: 1.6,
+  laughs: 4.4,
+  launch: 4.3,
+  laurel: 3.6,
+  lavish: 2.9,
+  lawful: 3.3,
+  lawyer: 4.9,
+  laxity: 2,
+  layers: 3.4,
+  laying: 4,
+  layman: 3,
+  laymen: 1.9,
+  layoff: 2.3,
+  layout: 3.5,
+  lazier: 2.2,
+  lazing: 2,
+  leaded: 2.7,
+  leaden: 2,
+  leader: 4.5,
+  leafed: 1.9,
+  league: 4.3,
+  leaked: 3.2,
+  leaned: 3.2,
+  leaner: 2,
+  leaped: 2.7,
+  learns: 3.5,
+  leased: 3.1,
+  leases: 2.8,
+  leaved: 1.3,
+  leaves: 4.7,
+  lecher: 2,
+  ledger: 3.1,
+  ledges: 1.9,
+  leered: 1.6,
+  leeway: 2.7,
+  lefter: 1.3,
+  legacy: 3.7,
+  legals: 2,
+  legate: 2.4,
+  legato: 2.3,
+  legend: 4.2,
+  legged: 2.1,
+  legion: 3.4,
+  legman: 1.6,
+  lemons: 3.2,
+  lemony: 2.1,
+  lemurs: 1.6,
+  lender: 2.2,
+  length: 3.8,
+  lenses: 3.4,
+  lentil: 2.3,
+  lepers: 3,
+  lesion: 2.8,
+  lessee: 1.9,
+  lessen: 2.8,
+  lesser: 3.4,
+  lesson: 4.5,
+  lessor: 1.3,
+  lethal: 3.8,
+  letter: 4.9,
+  levees: 2.1,
+  levels: 4,
+  levers: 2.6,
+  levied: 2.2,
+  levity: 2.6,
+  lewdly: 1.6,
+  liable: 3.9,
+  liaise: 2.2,
+  libido: 3,
+  lichen: 1.9,
+  licked: 3.6,
+  lidded: 1.3,
+  lifers: 2.3,
+  lifted: 3.8,
+  lights: 4.8,
+  likely: 4.4,
+  likest: 1.6,
+  liking: 3.8,
+  lilacs: 2.7,
+  lilies: 3.3,
+  limber: 2.9,
+  limits: 3.9,
+  limped: 2.1,
+  limpet: 3,
+  limpid: 1.9,
+  linden: 3.1,
+  linear: 2.7,
+  linens: 3,
+  liners: 2.5,
+  lineup: 3.5,
+  linger: 3.2,
+  lining: 3.7,
+  linked: 3.6,
+  linker: 1.6,
+  linkup: 2.3,
+  linnet: 1.6,
+  lipids: 1.6,
+  liquid: 3.9,
+  liquor: 4.2,
+  listed: 3.7,
+  listen: 5.7,
+  litany: 2.1,
+  liters: 3.4,
+  litmus: 2.4,
+  litter: 3.6,
+  little: 6.2,
+  lively: 3.6,
+  livens: 1.8,
+  livers: 2.7,
+  livery: 3.1,
+  livest: 2,
+  living: 5.2,
+  lizard: 3.7,
+  llamas: 2.3,
+  loaded: 4.3,
+  loader: 2.7,
+  loafer: 2.6,
+  loaned: 3.3,
+  loaner: 2.5,
+  loathe: 3.3,
+  loaves: 2.7,
+  lobbed: 2.1,
+  locale: 2.5,
+  locals: 3.6,
+  locate: 4,
+  locked: 4.7,
+  locker: 4.2,
+  locket: 3.2,
+  lockup: 3.1,
+  locust: 2.9,
+  lodged: 3.3,
+  lodger: 2.4,
+  lodges: 2.6,
+  lofted: 1.8,
+  logged: 3.3,
+  logger: 2.1,
+  logjam: 1.9,
+  loiter: 2.4,
+  lonely: 4.6,
+  loners: 2.5,
+  longed: 3.1,
+  longer: 5,
+  loofah: 2.6,
+  looked: 5.1,
+  lookup: 1.6,
+  loomed: 1.6,
+  loonie: 1.8,
+  looped: 2.6,
+  loosed: 2.4,
+  loosen: 3.7,
+  looser: 2.7,
+  looses: 1.6,
+  looted: 2.6,
+  looter: 2.3,
+  loping: 1.6,
+  lopped: 2.4,
+  lorded: 1.6,
+  lordly: 2.1,
+  losers: 4,
+  losing: 4.7,
+  losses: 3.7,
+  lotion: 3.5,
+  louder: 4,
+  loudly: 3.4,
+  lounge: 3.9,
+  louses: 1.6,
+  louver: 1.9,
+  lovely: 5,
+  lovers: 4,
+  loving: 4.4,
+  lowers: 3,
+  lowest: 3.6,
+  lowing: 2.2,
+  lubber: 2,
+  lucked: 3,
+  lugged: 2.2,
+  lulled: 2.3,
+  lumbar: 3,
+  lumber: 3.4,
+  lummox: 2.4,
+  lumped: 2.3,
+  lunacy: 3,
+  lunged: 2.3,
+  lunges: 1.8,
+  lupine: 1.6,
+  luring: 2.6,
+  lurked: 1.6,
+  lushes: 2,
+  lusted: 2.1,
+  luster: 2.5,
+  luxury: 3.8,
+  lyceum: 2,
+  lyrics: 3.7,
+  macaws: 2.2,
+  madame: 4.5,
+  madams: 1.3,
+  madcap: 2.5,
+  madden: 2.8,
+  madder: 2.9,
+  madman: 3.7,
+  madmen: 2.7,
+  madras: 2.4,
+  maggot: 3.2,
+  magnet: 3.4,
+  magnum: 4.1,
+  magpie: 2.7,
+  maiden: 3.7,
+  mailed: 3.3,
+  mailer: 2.8,
+  maimed: 2.9,
+  mainly: 3.7,
+  majors: 3.5,
+  makers: 3.2,
+  makeup: 4.2,
+  making: 5.3,
+  malady: 2.6,
+  malice: 3.1,
+  malign: 2.3,
+  mallet: 2.8,
+  malted: 2.4,
+  mammal: 3.1,
+  mammon: 2.4,
+  manage: 4.3,
+  manful: 1.3,
+  manger: 3,
+  mangle: 2.4,
+  maniac: 4,
+  manias: 1.8,
+  manics: 1.6,
+  manned: 3.1,
+  manner: 4.1,
+  manors: 2.6,
+  mantel: 2.9,
+  mantes: 1.9,
+  mantis: 2.7,
+  mantle: 3.3,
+  mantra: 2.9,
+  manual: 3.9,
+  manure: 3.3,
+  maples: 2.3,
+  mapped: 3,
+  mapper: 1.3,
+  maraca: 1.8,
+  maraud: 1.3,
+  marble: 3.7,
+  margin: 3.3,
+  marina: 3.7,
+  marine: 4.1,
+  marked: 4,
+  marker: 3.7,
+  market: 4.6,
+  markup: 2.2,
+  marlin: 3.2,
+  marmot: 1.8,
+  maroon: 3.1,
+  marred: 2.1,
+  marrow: 3.5,
+  marshy: 1.8,
+  marten: 1.9,
+  martin: 4.6,
+  martyr: 3.4,
+  marvel: 3.3,
+  mascot: 3.2,
+  mashed: 3.6,
+  masher: 2.4,
+  mashes: 1.9,
+  masked: 3.4,
+  masons: 2.4,
+  masque: 2.2,
+  massed: 2.3,
+  masses: 3.4,
+  master: 4.9,
+  mating: 3.6,
+  matins: 1.3,
+  matrix: 3.6,
+  matron: 2.9,
+  matted: 2,
+  matter: 5.6,
+  mattes: 1.3,
+  mature: 3.9,
+  matzoh: 1.3,
+  matzos: 1.3,
+  mauled: 2.9,
+  maxima: 1.6,
+  maxims: 1.8,
+  maxing: 1.8,
+  maybes: 2.8,
+  mayday: 3.8,
+  mayfly: 1.8,
+  mayhem: 3.3,
+  mayors: 2.3,
+  meadow: 3.4,
+  meager: 2.8,
+  meaner: 3.1,
+  meanly: 1.8,
+  measly: 3.1,
+  medals: 3.6,
+  meddle: 3.1,
+  medial: 2.6,
+  median: 2.6,
+  medias: 1.3,
+  medics: 3.1,
+  medium: 3.9,
+  medley: 2.8,
+  meeker: 2.7,
+  meekly: 2.1,
+  melded: 1.9,
+  mellow: 3.5,
+  melody: 3.8,
+  melons: 3.1,
+  melted: 3.6,
+  member: 4.5,
+  memoir: 2.2,
+  memory: 4.7,
+  menace: 3.6,
+  menage: 2.4,
+  mended: 2.9,
+  mender: 1.3,
+  menial: 2.7,
+  menses: 1.6,
+  mental: 4.3,
+  mentor: 3.5,
+  meowed: 1.3,
+  merely: 4.2,
+  merest: 1.9,
+  merged: 2.6,
+  merger: 3.6,
+  merges: 2.2,
+  merino: 1.8,
+  merits: 3.3,
+  merman: 2.8,
+  mermen: 1.3,
+  mescal: 2.7,
+  meshed: 1.8,
+  messed: 4.2,
+  messes: 3.3,
+  metals: 3,
+  meteor: 3.5,
+  meters: 3.8,
+  method: 3.9,
+  meting: 1.6,
+  metric: 2.7,
+  metros: 1.6,
+  mettle: 2.5,
+  mewing: 2,
+  miasma: 1.3,
+  micron: 1.8,
+  midair: 2.8,
+  midday: 2.9,
+  middle: 5,
+  midget: 3.7,
+  midway: 3.3,
+  miffed: 2.8,
+  mighty: 4.4,
+  miking: 1.3,
+  milder: 2,
+  mildew: 2.6,
+  mildly: 3.1,
+  milieu: 2.3,
+  milked: 2.7,
+  milker: 1.3,
+  milled: 1.3,
+  miller: 4.4,
+  millet: 2.5,
+  mimics: 2.5,
+  miming: 2,
+  mimosa: 2.5,
+  minced: 1.9,
+  minces: 1.6,
+  minded: 3.1,
+  miners: 3.5,
+  mingle: 3.4,
+  mining: 3.5,
+  minion: 3,
+  minnow: 2.4,
+  minors: 3.1,
+  minted: 2.4,
+  minuet: 2.5,
+  minute: 5.6,
+  mirage: 3.2,
+  mirror: 4.4,
+  miscue: 1.9,
+  misers: 1.8,
+  misery: 4,
+  misfit: 2.8,
+  mishap: 3,
+  mislay: 1.8,
+  misled: 3,
+  missal: 1.9,
+  missed: 5,
+  misses: 3.9,
+  mister: 4.7,
+  misuse: 2.7,
+  mitten: 2.7,
+  mixers: 2.5,
+  mixing: 3.5,
+  mizzen: 2.6,
+  moaned: 2.4,
+  mobbed: 2.6,
+  mobile: 3.9,
+  mochas: 1.9,
+  mocked: 3,
+  mocker: 2,
+  models: 3.9,
+  modems: 2.3,
+  modern: 4.3,
+  modest: 3.8,
+  modify: 3,
+  module: 3.4,
+  moguls: 1.9,
+  mohair: 2.4,
+  molars: 2.5,
+  molded: 2.8,
+  molder: 1.3,
+  molest: 2.8,
+  molted: 1.8,
+  molten: 3.1,
+  moment: 5.3,
+  monger: 1.9,
+  monies: 2.7,
+  monkey: 4.5,
+  months: 5.2,
+  mooing: 2.4,
+  mooned: 2.4,
+  moored: 2.2,
+  mooted: 1.3,
+  mopeds: 1.8,
+  moping: 3.1,
+  mopped: 2.6,
+  moppet: 1.9,
+  morale: 3.6,
+  morals: 3.5,
+  morass: 2,
+  morbid: 3.4,
+  morgue: 3.9,
+  morons: 3.6,
+  morose: 2.5,
+  morrow: 3.4,
+  morsel: 2.8,
+  mortal: 4,
+  mortar: 3.4,
+  mosaic: 2.7,
+  moseys: 1.6,
+  mosque: 3.1,
+  mostly: 4.4,
+  motels: 3,
+  mother: 5.7,
+  motifs: 1.9,
+  motile: 1.6,
+  motion: 4.3,
+  motive: 4.1,
+  motley: 2.7,
+  motors: 3.5,
+  mounds: 2.6,
+  mounts: 2.8,
+  mourns: 2.5,
+  mouser: 2.1,
+  mouses: 1.8,
+  mousse: 3.1,
+  mouths: 3.7,
+  movers: 3.1,
+  movies: 4.7,
+  moving: 5.1,
+  mowers: 2.3,
+  mowing: 3,
+  mucked: 2.1,
+  mucous: 2.6,
+  muddle: 2.6,
+  muesli: 1.8,
+  muffed: 2.1,
+  muffin: 3.8,
+  muffle: 2.3,
+  mugged: 3.4,
+  mugger: 3,
+  mukluk: 1.6,
+  mulish: 1.8,
+  mullah: 1.6,
+  mulled: 1.9,
+  mullet: 2.8,
+  mumble: 2.9,
+  mummer: 1.3,
+  murals: 2.5,
+  murder: 5,
+  murmur: 3,
+  muscat: 1.3,
+  muscle: 4.1,
+  museum: 4.3,
+  mushed: 2.1,
+  musing: 2.3,
+  musket: 3,
+  muslin: 2.1,
+  mussed: 2.5,
+  mussel: 2.4,
+  musses: 1.3,
+  muster: 3.2,
+  mutant: 3.6,
+  mutate: 2.7,
+  mutely: 1.6,
+  muting: 1.3,
+  mutiny: 3.4,
+  mutter: 2.6,
+  mutton: 2.9,
+  mutual: 3.9,
+  muumuu: 2.5,
+  muzzle: 3.2,
+  myopia: 2.2,
+  myopic: 2.4,
+  myriad: 2.7,
+  myrtle: 3.5,
+  myself: 5.5,
+  mystic: 3.2,
+  mythic: 2.6,
+  nabbed: 2.8,
+  nabobs: 1.9,
+  nachos: 2.9,
+  nagged: 2.5,
+  nailed: 3.9,
+  namely: 3,
+  naming: 3.3,
+  napalm: 3.2,
+  napkin: 3.6,
+  napped: 2,
+  narrow: 3.8,
+  nation: 4.3,
+  native: 3.9,
+  nature: 4.7,
+  naught: 2.8,
+  nausea: 3.3,
+  navels: 2.1,
+  navies: 2.1,
+  nearby: 3.9,
+  neared: 2.1,
+  nearer: 3.4,
+  nearly: 4.5,
+  neater: 2.6,
+  neatly: 3.1,
+  nebula: 3.2,
+  necked: 1.9,
+  nectar: 3,
+  needed: 5,
+  needle: 4.1,
+  negate: 2.5,
+  neighs: 2.8,
+  nephew: 4.2,
+  nerves: 4,
+  nested: 1.8,
+  nestle: 2.6,
+  nether: 2.6,
+  netted: 2.4,
+  nettle: 2.2,
+  neural: 3.3,
+  neuron: 2.1,
+  neuter: 2.9,
+  newbie: 2.6,
+  newest: 3.6,
+  newton: 3.6,
+  niacin: 1.6,
+  nibble: 3.2,
+  nicely: 4,
+  nicest: 3.8,
+  nicety: 1.6,
+  nicked: 3.1,
+  nickel: 3.9,
+  nieces: 2.8,
+  niggas: 3.8,
+  niggaz: 2.2,
+  nigger: 4.3,
+  niggle: 1.3,
+  nights: 4.5,
+  nimble: 2.8,
+  nimbly: 2,
+  nimbus: 3.1,
+  ninety: 3.4,
+  ninjas: 2.9,
+  ninths: 1.3,
+  nipped: 2.5,
+  nipper: 2.8,
+  nipple: 3.5,
+  nitwit: 3.1,
+  nixing: 1.6,
+  nobler: 2.7,
+  nobles: 3.2,
+  nobody: 5.4,
+  nodded: 2.8,
+  nodule: 1.6,
+  noggin: 2.8,
+  noises: 3.9,
+  nomads: 2.4,
+  noncom: 2.1,
+  nonfat: 2.7,
+  noodle: 3.5,
+  nooses: 1.8,
+  normal: 4.8,
+  noshes: 1.3,
+  nosier: 1.3,
+  nosing: 2.9,
+  notary: 2.8,
+  notice: 4.8,
+  notify: 3.9,
+  noting: 2.4,
+  notion: 3.8,
+  nougat: 2.3,
+  novels: 3.5,
+  novice: 2.9,
+  nowise: 1.8,
+  nozzle: 2.6,
+  nuance: 2.6,
+  nubile: 2.2,
+  nuclei: 2.2,
+  nudged: 2,
+  nudges: 1.8,
+  nudism: 1.6,
+  nudist: 2.8,
+  nudity: 3.2,
+  nugget: 3.1,
+  nuking: 1.6,
+  numbed: 2.1,
+  number: 5.4,
+  numbly: 1.3,
+  nuncio: 2.3,
+  nursed: 3,
+  nurses: 4.1,
+  nutmeg: 2.8,
+  nutted: 1.9,
+  nuzzle: 2.1,
+  nylons: 3.1,
+  nymphs: 2.8,
+  oafish: 1.6,
+  oaring: 1.3,
+  obeyed: 3.1,
+  object: 4.4,
+  oblate: 1.6,
+  oblige: 3.3,
+  oblong: 2.1,
+  obsess: 2.8,
+  obtain: 3.6,
+  obtuse: 2.4,
+  occult: 3.2,
+  occupy: 3.4,
+  occurs: 3.5,
+  oceans: 3.3,
+  ocelot: 1.6,
+  octane: 1.9,
+  octave: 2.4,
+  ocular: 2.6,
+  oddest: 2.8,
+  oddity: 2.1,
+  odious: 2.7,
+  offend: 3.7,
+  offers: 3.9,
+  office: 5.3,
+  offing: 2.5,
+  offset: 2.8,
+  ogling: 2.4,
+  oiling: 1.8,
+  oldest: 4,
+  oldies: 2.8,
+  olives: 3.4,
+  omegas: 1.3,
+  omelet: 3.4,
+  onions: 3.8,
+  online: 3.8,
+  onward: 3.2,
+  oodles: 2.7,
+  oozing: 3,
+  opaque: 2.1,
+  opened: 4.5,
+  opener: 3.5,
+  openly: 3.3,
+  operas: 2.9,
+  opiate: 2.6,
+  oppose: 3.3,
+  optics: 2.8,
+  opting: 2,
+  option: 4.2,
+  oracle: 3.3,
+  orally: 2.6,
+  orange: 4.3,
+  orator: 2.2,
+  orbits: 2.8,
+  orchid: 3.3,
+  ordain: 2.2,
+  ordeal: 3.4,
+  orders: 4.8,
+  organs: 3.8,
+  orgasm: 3.6,
+  orgies: 2.8,
+  orient: 3.2,
+  origin: 3.6,
+  oriole: 2,
+  ormolu: 1.6,
+  ornate: 2.3,
+  ornery: 3.1,
+  orphan: 3.8,
+  osprey: 1.3,
+  others: 5,
+  otters: 2.2,
+  ounces: 3.4,
+  ousted: 2,
+  ouster: 1.8,
+  outage: 2.6,
+  outbid: 2.6,
+  outcry: 2.4,
+  outdid: 2.6,
+  outfit: 4.4,
+  outfox: 1.6,
+  outing: 3,
+  outlaw: 3.5,
+  outlay: 2.1,
+  outlet: 3.3,
+  output: 3.1,
+  outran: 2.1,
+  outrun: 3.3,
+  outset: 2.5,
+  outwit: 2.8,
+  overdo: 3.2,
+  overly: 3.3,
+  owners: 3.8,
+  owning: 3.3,
+  oxford: 3.4,
+  oxides: 1.3,
+  oxygen: 4.1,
+  oyster: 3.5,
+  pacify: 2.6,
+  pacing: 3.1,
+  packed: 4.2,
+  packer: 2.6,
+  packet: 3.4,
+  padded: 3,
+  paddle: 3.6,
+  padres: 2.3,
+  pagans: 2.5,
+  pagers: 2.4,
+  paging: 3.3,
+  pagoda: 3,
+  pained: 2.4,
+  paints: 3.4,
+  paired: 2.8,
+  palace: 4.3,
+  palate: 3,
+  palest: 1.6,
+  palled: 1.3,
+  pallet: 2.6,
+  pallid: 2.2,
+  pallor: 2.1,
+  palmed: 2.3,
+  paltry: 2.7,
+  pampas: 2.2,
+  pamper: 2.7,
+  pandas: 2.5,
+  pander: 2.1,
+  panels: 3.2,
+  panics: 2.6,
+  panned: 2.5,
+  pantry: 3.2,
+  papacy: 1.6,
+  papaya: 3,
+  papers: 4.7,
+  papery: 1.9,
+  parade: 4.1,
+  parcel: 3.1,
+  pardon: 4.8,
+  parent: 4.1,
+  pariah: 2.6,
+  paring: 2.1,
+  parish: 3.5,
+  parity: 2,
+  parkas: 2.2,
+  parked: 4,
+  parlay: 2.8,
+  parley: 2.6,
+  parlor: 3.8,
+  parody: 2.8,
+  parole: 4,
+  parred: 1.3,
+  parrot: 3.5,
+  parsec: 1.6,
+  parser: 1.3,
+  parson: 3.2,
+  parted: 3.3,
+  partly: 3.5,
+  pashas: 1.3,
+  passed: 4.7,
+  passel: 2.3,
+  passer: 2.2,
+  passes: 4.1,
+  pastas: 2,
+  pasted: 2.6,
+  pastel: 2.4,
+  pastes: 1.3,
+  pastor: 3.6,
+  pastry: 3.3,
+  patchy: 2.2,
+  patent: 3.4,
+  pathos: 2.4,
+  patina: 2.1,
+  patois: 1.3,
+  patrol: 4.2,
+  patron: 3.5,
+  patted: 2.7,
+  patter: 2.8,
+  paunch: 1.3,
+  pauper: 2.7,
+  paused: 2.4,
+  pauses: 2.5,
+  paving: 2.6,
+  pawing: 2.8,
+  pawned: 2.9,
+  pawpaw: 1.3,
+  payday: 3.4,
+  payers: 1.9,
+  paying: 4.6,
+  payoff: 3.3,
+  peaces: 1.3,
+  peahen: 1.9,
+  peaked: 3.1,
+  peanut: 4.1,
+  pearls: 3.7,
+  pearly: 3,
+  pebble: 3.1,
+  pecans: 2.3,
+  pecked: 2.5,
+  pedals: 2.9,
+  pedant: 2,
+  peddle: 3,
+  peeing: 3.4,
+  peeked: 2.8,
+  peeled: 3.4,
+  peeped: 2.6,
+  peeper: 3,
+  peered: 2.3,
+  peeved: 2.7,
+  peeves: 1.9,
+  peewee: 3,
+  pegged: 3.6,
+  pellet: 3.1,
+  pelted: 2.3,
+  pelvic: 3.2,
+  pelvis: 3.3,
+  pencil: 4,
+  penile: 2.7,
+  penned: 2.7,
+  penury: 1.3,
+  people: 6,
+  pepped: 1.6,
+  pepper: 3.9,
+  pepsin: 1.6,
+  peptic: 1.3,
+  perils: 2.5,
+  period: 4.4,
+  perish: 3.4,
+  perked: 1.8,
+  permed: 1.6,
+  permit: 4.1,
+  person: 5.3,
+  peruse: 2.5,
+  peseta: 1.9,
+  pester: 2.7,
+  pestle: 2.8,
+  petals: 3.2,
+  petard: 2.1,
+  peters: 3.5,
+  petite: 3,
+  petrol: 3.2,
+  petted: 2.4,
+  pewter: 2.5,
+  peyote: 2.9,
+  phased: 2.4,
+  phases: 2.8,
+  phials: 1.3,
+  phlegm: 2.8,
+  phobia: 3,
+  phobic: 2.2,
+  phoebe: 4.6,
+  phoned: 3.8,
+  phones: 4.1,
+  phooey: 3.1,
+  photon: 2.7,
+  photos: 4.3,
+  phrase: 4,
+  phylum: 2.1,
+  physic: 2.4,
+  pianos: 2.9,
+  piazza: 2.7,
+  pickax: 2.3,
+  picked: 4.8,
+  picker: 2.8,
+  picket: 3.3,
+  pickle: 3.7,
+  pickup: 3.9,
+  picnic: 4.1,
+  piddle: 2,
+  pidgin: 1.8,
+  pieced: 2.6,
+  pieces: 4.5,
+  pierce: 4.4,
+  piffle: 2.4,
+  pigeon: 3.8,
+  pigged: 2,
+  piglet: 3.3,
+  pigpen: 2.5,
+  pigsty: 2.9,
+  pikers: 2.1,
+  pileup: 2.9,
+  pilfer: 1.3,
+  piling: 3.1,
+  pillar: 3.2,
+  pilled: 1.3,
+  pillow: 4.1,
+  pilots: 3.9,
+  pimped: 2.4,
+  pimple: 3.2,
+  pimply: 2.4,
+  pincer: 2.4,
+  pinged: 1.9,
+  pining: 2.9,
+  pinion: 2.2,
+  pinked: 1.6,
+  pinker: 1.6,
+  pinkie: 3.2,
+  pinned: 3.7,
+  pintos: 1.6,
+  pinups: 1.9,
+  pipers: 1.9,
+  piping: 2.8,
+  pippin: 3.1,
+  piqued: 2.4,
+  piques: 1.6,
+  piracy: 2.9,
+  pirate: 3.9,
+  pissed: 4.4,
+  pisses: 3.4,
+  pistil: 2,
+  pistol: 4,
+  piston: 3.1,
+  pitied: 2.8,
+  pities: 2.4,
+  pitons: 2,
+  pitted: 2.3,
+  pivots: 1.8,
+  pixels: 2.3,
+  pixies: 2.6,
+  pizzas: 3.3,
+  placed: 4.1,
+  placer: 1.9,
+  places: 4.7,
+  placid: 2.8,
+  plague: 3.9,
+  plaice: 1.6,
+  plaids: 2.2,
+  plains: 3.3,
+  plaint: 1.3,
+  planed: 2.1,
+  planes: 4.2,
+  planet: 4.6,
+  planks: 2.4,
+  plants: 4,
+  plaque: 3.3,
+  plasma: 3.7,
+  plated: 2.2,
+  plates: 4.1,
+  played: 4.8,
+  player: 4.6,
+  pleads: 2.8,
+  please: 6,
+  pleats: 2.4,
+  pledge: 3.8,
+  plenty: 4.8,
+  plexus: 2.5,
+  pliers: 3.1,
+  plight: 3.1,
+  plowed: 2.8,
+  plucks: 2.3,
+  plucky: 2.6,
+  plumed: 1.3,
+  plumes: 2.5,
+  plunge: 3.3,
+  plunks: 1.6,
+  plural: 3,
+  pluses: 2.3,
+  plushy: 1.6,
+  plying: 2.4,
+  pocket: 4.6,
+  podium: 3.1,
+  poetic: 3.4,
+  poetry: 4.1,
+  pogrom: 2.1,
+  points: 4.5,
+  pointy: 3.3,
+  poised: 3.1,
+  poison: 4.4,
+  pokers: 2.2,
+  poking: 3.6,
+  police: 5.4,
+  policy: 4.4,
+  poling: 1.8,
+  polish: 4,
+  polite: 4.1,
+  polkas: 2.3,
+  polled: 2.4,
+  pollen: 3.1,
+  polyps: 2.1,
+  pomade: 2.1,
+  pommel: 2.3,
+  pompom: 2.1,
+  poncho: 2.9,
+  ponder: 3,
+  ponies: 3.4,
+  poodle: 3.5,
+  pooled: 2.4,
+  pooped: 3.1,
+  poorer: 3.2,
+  poorly: 3.4,
+  popgun: 2.3,
+  poplar: 2.4,
+  poplin: 1.8,
+  popped: 3.9,
+  poring: 2.2,
+  porous: 2.5,
+  portal: 3.6,
+  porter: 4.2,
+  portly: 2.2,
+  posers: 2.5,
+  poseur: 2,
+  posher: 1.3,
+  posies: 2.5,
+  posing: 3.5,
+  posits: 1.6,
+  posses: 2.3,
+  possum: 3.3,
+  postal: 3.3,
+  posted: 3.9,
+  poster: 3.8,
+  potash: 2.1,
+  potato: 4.1,
+  potent: 3.2,
+  potful: 1.6,
+  potion: 3.9,
+  potpie: 2.3,
+  potted: 2.7,
+  potter: 4.3,
+  pounce: 3,
+  pounds: 4.5,
+  poured: 3.6,
+  pouted: 1.9,
+  powder: 4.2,
+  powers: 4.6,
+  powwow: 2.8,
+  praise: 4,
+  prance: 2.9,
+  pranks: 3,
+  prawns: 2.4,
+  prayed: 3.7,
+  prayer: 4.2,
+  preach: 3.4,
+  preens: 1.3,
+  prefab: 2.2,
+  prefer: 4.5,
+  prefix: 2.6,
+  prenup: 3,
+  prepay: 2.1,
+  preppy: 2.9,
+  preset: 2.4,
+  presto: 2.8,
+  pretty: 5.6,
+  prewar: 2.1,
+  preyed: 2.5,
+  priced: 2.8,
+  prices: 3.9,
+  pricey: 2.8,
+  pricks: 3.2,
+  prided: 2.4,
+  prides: 2.6,
+  priest: 4.4,
+  primal: 3.1,
+  primed: 2.9,
+  primer: 2.8,
+  primes: 2.2,
+  primps: 1.3,
+  prince: 4.7,
+  prints: 4.2,
+  priors: 3.2,
+  priory: 1.3,
+  prisms: 1.8,
+  prison: 4.8,
+  prissy: 3,
+  privet: 1.3,
+  prized: 2.8,
+  prizes: 3.4,
+  probed: 2.7,
+  probes: 2.8,
+  profit: 4,
+  promos: 2.5,
+  prompt: 3.1,
+  prongs: 2.4,
+  pronto: 3.5,
+  proofs: 3,
+  propel: 2.3,
+  proper: 4.4,
+  proton: 2.6,
+  proved: 4,
+  proven: 3.8,
+  proves: 3.9,
+  prowls: 2,
+  prudes: 2.2,
+  pruned: 2,
+  prunes: 2.8,
+  prying: 3.2,
+  psalms: 2.5,
+  pseudo: 2.5,
+  psyche: 3.4,
+  psycho: 4,
+  psychs: 1.3,
+  public: 4.9,
+  pucker: 2.9,
+  puddle: 3.3,
+  pueblo: 2.4,
+  puffed: 2.9,
+  puffer: 2.5,
+  puffin: 2.2,
+  puking: 3.2,
+  pulled: 4.7,
+  puller: 2.2,
+  pullet: 1.3,
+  pulley: 2.6,
+  pulpit: 2.8,
+  pulsar: 2.7,
+  pulsed: 2,
+  pulses: 2.9,
+  pumice: 2.1,
+  pummel: 2.4,
+  pumped: 3.5,
+  pumper: 2.5,
+  punchy: 3,
+  pundit: 1.3,
+  punier: 1.3,
+  punish: 4,
+  punted: 1.9,
+  punter: 2,
+  pupils: 3.6,
+  puppet: 3.7,
+  pureed: 1.3,
+  purely: 3.7,
+  purest: 3,
+  purged: 2.7,
+  purges: 2,
+  purify: 2.8,
+  purist: 2.3,
+  purity: 3.4,
+  purled: 1.6,
+  purple: 4.1,
+  purred: 1.8,
+  pursed: 1.6,
+  purser: 3,
+  purses: 3,
+  pursue: 3.8,
+  pushed: 4.3,
+  pusher: 3.1,
+  pushes: 3.4,
+  pusses: 1.3,
+  putrid: 2.8,
+  putsch: 2.1,
+  putted: 1.3,
+  putter: 3.1,
+  puzzle: 3.9,
+  pylons: 2.5,
+  pyrite: 1.6,
+  python: 3.2,
+  quacks: 2.6,
+  quahog: 3.2,
+  quails: 1.9,
+  quaint: 3.3,
+  quakes: 2.1,
+  qualms: 2.5,
+  quarks: 2.2,
+  quarry: 3.2,
+  quarto: 1.3,
+  quarts: 3,
+  quartz: 2.7,
+  quasar: 2.5,
+  queasy: 3.1,
+  queens: 4,
+  queers: 3,
+  quells: 1.3,
+  quench: 2.8,
+  quests: 1.8,
+  queued: 1.8,
+  queues: 2,
+  quiche: 2.9,
+  quiets: 2.4,
+  quills: 2.5,
+  quilts: 2.5,
+  quince: 3,
+  quirks: 3,
+  quirky: 2.8,
+  quiver: 2.7,
+  quorum: 2.7,
+  quotas: 2.6,
+  quoted: 3.2,
+  quotes: 3.1,
+  rabbis: 2.7,
+  rabbit: 4.3,
+  rabble: 3,
+  rabies: 3.3,
+  racers: 3.3,
+  racial: 3.5,
+  racing: 4.1,
+  racism: 3.2,
+  racist: 3.7,
+  racked: 3,
+  racket: 3.9,
+  radars: 2.2,
+  radial: 2.7,
+  radios: 3.3,
+  radish: 2.8,
+  radium: 3,
+  radius: 3.6,
+  raffia: 1.6,
+  raffle: 3.3,
+  rafted: 1.6,
+  rafter: 1.8,
+  ragged: 3.2,
+  raging: 3.5,
+  raglan: 1.9,
+  ragout: 1.9,
+  ragtag: 2.2,
+  raided: 3.2,
+  raider: 2.8,
+  railed: 1.9,
+  rained: 3.4,
+  raised: 4.4,
+  raises: 3.3,
+  raisin: 3.2,
+  rajahs: 1.6,
+  raking: 2.7,
+  rakish: 1.8,
+  ramble: 2.8,
+  rammed: 2.9,
+  ramrod: 2.6,
+  rancid: 2.7,
+  rancor: 2.2,
+  random: 4,
+  ranged: 2.1,
+  ranger: 3.9,
+  ranges: 2.8,
+  ranked: 3,
+  ranker: 1.6,
+  ransom: 4,
+  ranted: 1.6,
+  ranter: 1.3,
+  rapids: 3,
+  rapier: 2.4,
+  raping: 3.2,
+  rapist: 3.5,
+  rapped: 2.4,
+  rapper: 3.2,
+  rarely: 3.8,
+  rarest: 2.8,
+  raring: 2.6,
+  rarity: 2.6,
+  rascal: 3.6,
+  rasher: 1.3,
+  rashes: 2.7,
+  rashly: 2.2,
+  rather: 5.1,
+  ratify: 2.1,
+  rating: 3.3,
+  ration: 3.1,
+  ratios: 2.4,
+  rattan: 1.9,
+  ratted: 3,
+  rattle: 3.5,
+  ravage: 2.7,
+  ravels: 1.3,
+  ravens: 3.3,
+  ravine: 3.3,
+  raving: 3.5,
+  ravish: 2.5,
+  rawest: 1.8,
+  razing: 1.8,
+  razors: 2.8,
+  razzed: 1.3,
+  razzes: 1.3,
+  reacts: 2.9,
+  reader: 3.7,
+  realer: 2.1,
+  really: 6.2,
+  realms: 2.8,
+  realty: 2.7,
+  reamed: 2.1,
+  reamer: 1.3,
+  reaped: 2.4,
+  reaper: 3.5,
+  reared: 2.6,
+  rearms: 1.3,
+  reason: 5.3,
+  rebate: 2.5,
+  rebels: 3.7,
+  reborn: 3.4,
+  rebuff: 1.9,
+  rebuke: 2.5,
+  recall: 4.3,
+  recant: 2.7,
+  recaps: 1.3,
+  recast: 2.5,
+  recede: 2.1,
+  recent: 4.1,
+  recess: 3.5,
+  recipe: 3.9,
+  recite: 3.5,
+  reckon: 4.1,
+  recoil: 2.6,
+  record: 4.9,
+  recoup: 2.4,
+  rectal: 3,
+  rector: 2.5,
+  rectum: 2.7,
+  recurs: 1.6,
+  redcap: 2,
+  redden: 1.6,
+  redder: 2.4,
+  redeem: 3.2,
+  redone: 2.7,
+  redraw: 2.1,
+  redrew: 2,
+  reduce: 3.6,
+  reefed: 1.3,
+  reefer: 3,
+  reeked: 2.2,
+  reeled: 1.8,
+  reeves: 3.3,
+  refers: 3.3,
+  reffed: 1.3,
+  refile: 2.1,
+  refill: 3.4,
+  refine: 2.6,
+  reflex: 3.4,
+  reform: 3.6,
+  refuel: 2.9,
+  refuge: 3.4,
+  refund: 3.4,
+  refuse: 4.3,
+  refute: 2.8,
+  regain: 3.4,
+  regale: 2.3,
+  regard: 3.9,
+  regent: 3.2,
+  reggae: 3,
+  regime: 3.4,
+  region: 3.7,
+  regret: 4.4,
+  rehabs: 1.6,
+  rehash: 2.6,
+  reheat: 2.3,
+  rehire: 2.3,
+  reigns: 2.6,
+  reined: 1.6,
+  reject: 3.6,
+  rejoin: 3.1,
+  relate: 3.7,
+  relays: 2.9,
+  relent: 2.4,
+  relics: 3,
+  relied: 3,
+  relief: 4.2,
+  relies: 2.7,
+  relish: 3.3,
+  relive: 3.2,
+  reload: 3.1,
+  remade: 2.3,
+  remain: 4.5,
+  remake: 3,
+  remand: 2.2,
+  remark: 3.6,
+  remedy: 3.4,
+  remind: 4.6,
+  remiss: 2.8,
+  remote: 4.1,
+  remove: 4.3,
+  rename: 2.3,
+  render: 3.3,
+  renege: 2.3,
+  renews: 1.6,
+  rennet: 1.6,
+  renown: 2.6,
+  rental: 3.7,
+  rented: 4,
+  renter: 2.4,
+  reopen: 3.2,
+  repaid: 2.9,
+  repair: 3.9,
+  repast: 2.2,
+  repays: 1.9,
+  repeal: 2.2,
+  repeat: 4.5,
+  repels: 2.2,
+  repent: 3.4,
+  replay: 3.1,
+  report: 5,
+  repose: 2.8,
+  repute: 2.3,
+  reread: 2.7,
+  reruns: 2.9,
+  resale: 2.4,
+  rescue: 4.4,
+  resell: 2.2,
+  resend: 1.6,
+  resent: 3.8,
+  resets: 2.2,
+  reside: 3,
+  resign: 3.7,
+  resins: 1.8,
+  resist: 4.1,
+  resold: 1.9,
+  resort: 3.8,
+  rested: 3.3,
+  result: 4.3,
+  resume: 3.8,
+  retail: 3.4,
+  retain: 3.4,
+  retake: 2.9,
+  retard: 3.6,
+  retell: 1.3,
+  retina: 2.9,
+  retire: 4,
+  retold: 1.9,
+  retook: 1.9,
+  retool: 2,
+  retort: 2.4,
+  return: 5,
+  retype: 1.6,
+  reused: 1.9,
+  revamp: 1.9,
+  reveal: 4,
+  revels: 2.5,
+  revere: 3,
+  revert: 2.8,
+  review: 4.2,
+  revile: 2.1,
+  revise: 2.9,
+  revive: 3.3,
+  revoke: 2.9,
+  revolt: 3.2,
+  revues: 1.6,
+  revved: 2.4,
+  reward: 4.3,
+  rewind: 3.2,
+  rewire: 2.7,
+  reword: 1.3,
+  rework: 2.2,
+  rhinos: 2.4,
+  rhymed: 2.5,
+  rhymes: 3.5,
+  rhythm: 4,
+  ribald: 2.2,
+  ribbed: 2.5,
+  ribbon: 3.7,
+  richer: 3.6,
+  riches: 3.5,
+  richly: 2.7,
+  ridden: 3.3,
+  riddle: 3.7,
+  riders: 3.5,
+  ridged: 1.6,
+  ridges: 2.8,
+  riding: 4.5,
+  riffle: 2.1,
+  rifled: 2.1,
+  rifles: 3.7,
+  rifted: 1.3,
+  rigged: 3.6,
+  rights: 4.5,
+  rigors: 2.4,
+  riling: 1.8,
+  ringed: 2.2,
+  ringer: 3.2,
+  rinsed: 2.2,
+  rinses: 1.6,
+  rioted: 2.1,
+  ripens: 1.9,
+  ripest: 1.6,
+  ripped: 4.3,
+  ripper: 3.4,
+  ripple: 3.2,
+  risers: 2.3,
+  rising: 3.9,
+  risked: 3.6,
+  ritual: 4,
+  rivals: 3.1,
+  rivers: 3.7,
+  rivets: 2.6,
+  roamed: 2.7,
+  roamer: 1.3,
+  roared: 2.5,
+  roasts: 2.4,
+  robbed: 4.2,
+  robber: 3.7,
+  robing: 1.3,
+  robins: 2.6,
+  robots: 3.7,
+  robust: 2.8,
+  rocked: 3.5,
+  rocker: 3.1,
+  rocket: 4.1,
+  rococo: 1.8,
+  rodent: 3.3,
+  rodeos: 2.3,
+  rogers: 3.9,
+  rogues: 2.5,
+  rolled: 3.9,
+  roller: 3.8,
+  romped: 1.6,
+  romper: 2.1,
+  roofer: 2.5,
+  rooked: 2.3,
+  rookie: 3.7,
+  roomed: 2.4,
+  roomer: 1.3,
+  roosts: 1.6,
+  rooted: 3,
+  rooter: 1.9,
+  roping: 2.6,
+  rosary: 3.1,
+  rosier: 2.4,
+  roster: 3.3,
+  rotary: 2.7,
+  rotate: 3.3,
+  rotors: 2.4,
+  rotted: 2.8,
+  rotten: 4.2,
+  rotund: 2.1,
+  rouged: 1.6,
+  roughs: 1.9,
+  rounds: 4,
+  roused: 2.3,
+  rouses: 1.6,
+  routed: 2.9,
+  router: 2.5,
+  routes: 3.3,
+  rovers: 2.2,
+  roving: 2.9,
+  rowels: 1.6,
+  rowers: 2,
+  rowing: 3.1,
+  royals: 2.6,
+  rubbed: 3.4,
+  rubber: 4.1,
+  rubble: 3.2,
+  rubies: 3,
+  rubles: 2.5,
+  rubric: 1.6,
+  ruckus: 3.2,
+  rudder: 3.6,
+  rudely: 2.7,
+  rudest: 2.1,
+  ruffle: 2.8,
+  rugged: 3.3,
+  ruined: 4.4,
+  rulers: 2.7,
+  ruling: 3.6,
+  rumble: 3.4,
+  rumors: 4,
+  rumple: 2.1,
+  rumpus: 2.8,
+  runnel: 1.3,
+  runner: 3.7,
+  runoff: 2.3,
+  runway: 3.7,
+  rupees: 2.3,
+  rushed: 3.7,
+  rushes: 3.1,
+  russet: 2.2,
+  rusted: 2.8,
+  rustic: 2.9,
+  rustle: 3.1,
+  sabers: 2.4,
+  sables: 2.2,
+  sachet: 1.8,
+  sacked: 3.1,
+  sacred: 4.1,
+  sadden: 1.9,
+  sadder: 3,
+  saddle: 3.9,
+  sadism: 2.2,
+  sadist: 3,
+  safari: 3.3,
+  safely: 4,
+  safest: 3.4,
+  safety: 4.5,
+  sagged: 1.3,
+  sahibs: 1.6,
+  sailed: 3.6,
+  sailor: 4.1,
+  saints: 3.6,
+  salaam: 2.7,
+  salads: 3.6,
+  salami: 3.3,
+  salary: 4,
+  saline: 3.5,
+  saliva: 3.4,
+  sallow: 2.1,
+  salmon: 3.8,
+  salons: 2.6,
+  saloon: 3.7,
+  salted: 2.8,
+  salter: 2.1,
+  salute: 3.9,
+  salver: 2,
+  salves: 1.3,
+  salvos: 1.6,
+  sambas: 1.6,
+  sampan: 2.4,
+  sample: 4.2,
+  sandal: 2.3,
+  sanded: 2.4,
+  sander: 2.7,
+  sanely: 1.3,
+  sanest: 2.4,
+  sanity: 3.4,
+  sapped: 2.2,
+  sarong: 2.1,
+  sashay: 2.3,
+  sashes: 2.3,
+  sassed: 1.3,
+  sateen: 1.3,
+  satiny: 1.6,
+  satire: 2.8,
+  satyrs: 2,
+  sauced: 1.9,
+  saucer: 3.4,
+  sauces: 2.7,
+  saunas: 2,
+  savage: 3.9,
+  savant: 2.7,
+  savers: 2.3,
+  saving: 4.5,
+  savior: 3.5,
+  savors: 1.3,
+  savory: 2.3,
+  sawing: 2.8,
+  sawyer: 3.8,
+  saying: 5.5,
+  scabby: 2.5,
+  scalds: 1.3,
+  scaled: 2.5,
+  scales: 3.3,
+  scalps: 2.8,
+  scampi: 2.6,
+  scamps: 2.1,
+  scanty: 1.3,
+  scarab: 2.5,
+  scarce: 3.2,
+  scared: 5.1,
+  scares: 3.9,
+  scarfs: 1.8,
+  scenes: 3.9,
+  scenic: 3,
+  scents: 2.5,
+  scheme: 3.9,
+  schism: 1.8,
+  schist: 2.6,
+  schlep: 2.7,
+  school: 5.5,
+  scoffs: 3.2,
+  scolds: 1.6,
+  sconce: 2.2,
+  scones: 2.9,
+  scoops: 3,
+  scoots: 1.8,
+  scoped: 2.4,
+  scopes: 2.7,
+  scorch: 2.7,
+  scored: 3.8,
+  scorer: 2.6,
+  scores: 3.9,
+  scorns: 2.4,
+  scotch: 4.2,
+  scours: 1.6,
+  scouts: 3.7,
+  scrams: 1.3,
+  scrape: 3.6,
+  scraps: 3.3,
+  scrawl: 2.4,
+  scream: 4.4,
+  screen: 4.4,
+  screws: 3.5,
+  screwy: 3.2,
+  scribe: 2.4,
+  scrimp: 2.1,
+  scrips: 2.1,
+  script: 4.3,
+  scroll: 3.4,
+  scrubs: 2.8,
+  scruff: 2.4,
+  scuffs: 2.1,
+  sculls: 1.3,
+  sculpt: 2.6,
+  scummy: 2.4,
+  scurry: 2.9,
+  scurvy: 3,
+  scuzzy: 2.2,
+  scythe: 2.5,
+  seabed: 1.9,
+  sealed: 4,
+  sealer: 2.3,
+  seaman: 3.2,
+  seamed: 1.3,
+  seamen: 2.9,
+  search: 4.7,
+  seared: 2.3,
+  season: 4.5,
+  seated: 3.9,
+  seaway: 1.3,
+  secede: 1.9,
+  second: 5.5,
+  secret: 5,
+  sector: 3.8,
+  secure: 4.4,
+  sedans: 2.1,
+  sedate: 3.1,
+  seduce: 3.5,
+  seeded: 2.1,
+  seeing: 5,
+  seeker: 3,
+  seemed: 4.7,
+  seemly: 2.1,
+  seeped: 2,
+  seesaw: 2.6,
+  seethe: 2,
+  segued: 1.6,
+  segues: 1.8,
+  seized: 3.4,
+  seizes: 2.4,
+  seldom: 3.5,
+  select: 3.5,
+  seller: 3.3,
+  selves: 3.1,
+  senate: 3.8,
+  sender: 2.9,
+  senile: 3.2,
+  senior: 4.4,
+  sensed: 3.5,
+  senses: 3.9,
+  sensor: 3.4,
+  sentry: 3.1,
+  sepals: 1.3,
+  sepsis: 2.6,
+  septet: 1.3,
+  septic: 3.1,
+  septum: 2.5,
+  sequel: 3.2,
+  sequin: 2.1,
+  serape: 2,
+  seraph: 2.2,
+  serene: 3.1,
+  serial: 4.1,
+  series: 4.3,
+  sermon: 3.4,
+  serums: 1.9,
+  served: 4.3,
+  server: 3.6,
+  serves: 3.8,
+  servos: 1.9,
+  sesame: 3.2,
+  settee: 2.2,
+  setter: 2.6,
+  settle: 4.6,
+  setups: 2.4,
+  sevens: 3,
+  severe: 4,
+  severs: 1.6,
+  sewage: 3.1,
+  sewers: 3.1,
+  sewing: 3.6,
+  sexier: 3,
+  sexing: 2.7,
+  sexism: 2.2,
+  sexist: 3.2,
+  sexpot: 2.1,
+  sextet: 2.1,
+  sexton: 2.7,
+  sexual: 4.5,
+  shabby: 3.2,
+  shacks: 2.7,
+  shaded: 2.2,
+  shades: 3.5,
+  shadow: 4.3,
+  shafts: 2.9,
+  shaggy: 3.2,
+  shaken: 3.5,
+  shaker: 3.2,
+  shakes: 3.7,
+  shaman: 3.4,
+  shamed: 2.9,
+  shames: 2.1,
+  shandy: 1.6,
+  shanks: 2.8,
+  shanty: 2.7,
+  shaped: 3.6,
+  shapes: 3.3,
+  shards: 2.6,
+  shared: 4,
+  shares: 3.8,
+  sharia: 1.3,
+  sharks: 3.9,
+  sharps: 2.6,
+  shaved: 3.6,
+  shaven: 2.3,
+  shaver: 2.7,
+  shaves: 2.7,
+  shawls: 2.2,
+  shears: 3,
+  sheath: 2.7,
+  sheets: 4.1,
+  sheikh: 2.8,
+  shekel: 2.1,
+  shells: 3.7,
+  shelve: 2.3,
+  sherry: 4.1,
+  shield: 3.9,
+  shifts: 3.7,
+  shifty: 2.9,
+  shills: 2.2,
+  shimmy: 3.1,
+  shined: 3,
+  shiner: 2.9,
+  shines: 3.6,
+  shinny: 1.8,
+  shires: 1.9,
+  shirks: 1.8,
+  shirts: 3.9,
+  shitty: 3.9,
+  shiver: 3.2,
+  shoals: 2.4,
+  shocks: 3,
+  shoddy: 2.9,
+  shogun: 2.8,
+  shooed: 1.8,
+  shoots: 3.8,
+  shored: 2.1,
+  shores: 3.3,
+  shorts: 4,
+  should: 6,
+  shouts: 3.6,
+  shoved: 3.6,
+  shovel: 3.8,
+  shoves: 2.7,
+  showed: 4.7,
+  shower: 4.6,
+  shrank: 2.6,
+  shreds: 3.2,
+  shrewd: 3.1,
+  shrews: 1.3,
+  shriek: 2.8,
+  shrift: 1.9,
+  shrike: 2.5,
+  shrill: 2.7,
+  shrimp: 3.9,
+  shrine: 3.5,
+  shrink: 4.1,
+  shroud: 3,
+  shrubs: 2.5,
+  shrugs: 2.1,
+  shrunk: 3.2,
+  shtick: 2.8,
+  shucks: 3.2,
+  shyest: 1.8,
+  shying: 1.6,
+  sicked: 2.1,
+  sicken: 2.6,
+  sicker: 3.1,
+  sickle: 2.7,
+  sickly: 2.9,
+  siding: 3.1,
+  sidled: 1.3,
+  sieges: 1.8,
+  sierra: 3.3,
+  siesta: 2.7,
+  sifted: 2.2,
+  sifter: 2,
+  sighed: 2.7,
+  sights: 3.7,
+  signal: 4.6,
+  signed: 4.6,
+  signer: 2,
+  signet: 2.3,
+  silent: 4.4,
+  silica: 2.3,
+  silken: 2.6,
+  silver: 4.5,
+  simian: 2.7,
+  simile: 2.4,
+  simmer: 3.2,
+  simper: 1.8,
+  simple: 5,
+  simply: 4.7,
+  sinews: 2.1,
+  sinewy: 2.4,
+  sinful: 3.2,
+  singed: 2.8,
+  singer: 4.2,
+  singes: 1.6,
+  single: 4.9,
+  singly: 2.2,
+  sinker: 2.7,
+  sinned: 3.4,
+  sinner: 3.4,
+  siphon: 2.4,
+  sipped: 2.2,
+  sirens: 3.7,
+  siring: 1.8,
+  sister: 5.3,
+  sitcom: 3.2,
+  siting: 1.6,
+  sitter: 3.2,
+  sixths: 1.3,
+  sizing: 2.7,
+  sizzle: 2.8,
+  skated: 2.7,
+  skater: 3.3,
+  skates: 3.6,
+  skeins: 1.3,
+  sketch: 3.7,
+  skewed: 2.4,
+  skewer: 2.6,
+  skiers: 2.4,
+  skiing: 3.6,
+  skills: 4.2,
+  skimpy: 2.7,
+  skinny: 4.1,
+  skirts: 3.5,
+  skulks: 1.9,
+  skulls: 3.4,
+  skunks: 2.7,
+  skycap: 2.1,
+  slacks: 3,
+  slaked: 1.6,
+  slalom: 1.8,
+  slants: 2.2,
+  slated: 2.6,
+  slates: 2.1,
+  slaved: 2.8,
+  slaver: 2.4,
+  slaves: 3.9,
+  slayer: 3.5,
+  sleaze: 2.9,
+  sleazy: 3.3,
+  sledge: 2.7,
+  sleeps: 3.9,
+  sleepy: 3.9,
+  sleety: 1.3,
+  sleeve: 3.7,
+  sleigh: 3.5,
+  sleuth: 2.3,
+  sliced: 3.3,
+  slicer: 2.1,
+  slices: 3.3,
+  slicks: 1.8,
+  slider: 2.6,
+  slides: 3.5,
+  slight: 4,
+  slings: 2.6,
+  slinks: 1.6,
+  slinky: 3,
+  sliver: 2.7,
+  slogan: 3.4,
+  sloped: 1.8,
+  slopes: 3,
+  sloppy: 3.8,
+  sloths: 2.3,
+  slouch: 2.8,
+  slough: 2.8,
+  sloven: 1.3,
+  slowed: 3.4,
+  slower: 3.7,
+  slowly: 4.4,
+  sludge: 2.7,
+  sluice: 2.4,
+  slumps: 2.1,
+  slurps: 2,
+  slushy: 1.8,
+  smacks: 2.9,
+  smalls: 3.1,
+  smarmy: 2.2,
+  smarts: 3.2,
+  smears: 2.4,
+  smells: 4.4,
+  smelly: 3.6,
+  smelts: 1.6,
+  smiled: 3.7,
+  smiles: 3.8,
+  smirks: 1.8,
+  smites: 1.3,
+  smiths: 2.7,
+  smithy: 3.1,
+  smocks: 2,
+  smoggy: 2.1,
+  smoked: 3.8,
+  smoker: 3.4,
+  smokes: 3.7,
+  smooch: 2.7,
+  smooth: 4.3,
+  smudge: 3,
+  smudgy: 1.3,
+  smugly: 1.9,
+  smutty: 2.3,
+  snacks: 3.5,
+  snafus: 1.6,
+  snails: 3.3,
+  snaked: 2.4,
+  snakes: 4,
+  snappy: 3.5,
+  snared: 2.1,
+  snares: 2.2,
+  snarky: 2.4,
+  snarls: 2.5,
+  snatch: 3.6,
+  snazzy: 2.8,
+  sneaks: 3.1,
+  sneaky: 3.6,
+  sneers: 1.8,
+  sneeze: 3.5,
+  snider: 2.2,
+  sniffs: 3.1,
+  sniped: 1.6,
+  sniper: 3.6,
+  snipes: 2.3,
+  snippy: 3,
+  snitch: 3.5,
+  snivel: 2,
+  snobby: 2.4,
+  snoops: 2.6,
+  snoopy: 3,
+  snoots: 1.8,
+  snooty: 2.8,
+  snooze: 3,
+  snored: 2.4,
+  snorer: 1.3,
+  snores: 3,
+  snorts: 2.9,
+  snotty: 3.1,
+  snouts: 2.1,
+  snowed: 3.1,
+  snuffs: 2,
+  snugly: 2.1,
+  soaked: 3.5,
+  soaped: 2,
+  soared: 2.7,
+  sobbed: 2.3,
+  sobers: 2.4,
+  soccer: 4.1,
+  social: 4.5,
+  socked: 2.7,
+  socket: 3.2,
+  sodden: 2.1,
+  sodium: 3.4,
+  sodomy: 2.6,
+  soften: 3.2,
+  softer: 3.2,
+  softly: 3.7,
+  soiled: 3,
+  solace: 3.2,
+  solder: 1.6,
+  solely: 3.2,
+  solemn: 3.3,
+  solids: 2.6,
+  soloed: 1.8,
+  solved: 4,
+  solver: 2.4,
+  solves: 3.1,
+  somber: 2.5,
+  sonars: 1.3,
+  sonata: 2.8,
+  sonnet: 2.9,
+  sooner: 4.6,
+  soothe: 3.1,
+  sopped: 1.8,
+  sorbet: 2.4,
+  sordid: 3.4,
+  sorely: 2.9,
+  sorest: 1.6,
+  sorrel: 2.6,
+  sorrow: 3.8,
+  sorted: 3.3,
+  sorter: 2.1,
+  sortie: 1.9,
+  sought: 3.7,
+  sounds: 5.2,
+  souped: 2,
+  source: 4.4,
+  soured: 2.3,
+  sourer: 1.3,
+  sourly: 1.3,
+  soused: 2.5,
+  soviet: 3.8,
+  sowing: 2.3,
+  spaced: 2.9,
+  spaces: 3.4,
+  spacey: 2.7,
+  spades: 3.4,
+  spanks: 1.9,
+  spared: 3.5,
+  spares: 2.6,
+  sparks: 3.7,
+  sparse: 2.3,
+  spasms: 2.8,
+  spawns: 1.6,
+  spayed: 2.2,
+  speaks: 4.3,
+  spears: 3.4,
+  specie: 1.9,
+  specks: 2.4,
+  speech: 4.6,
+  speeds: 3.2,
+  speedy: 3.3,
+  spells: 3.8,
+  spends: 3.8,
+  sperms: 1.9,
+  spewed: 2.3,
+  sphere: 3.4,
+  sphinx: 3,
+  spiced: 2.4,
+  spices: 3.3,
+  spider: 4,
+  spiffy: 2.8,
+  spigot: 2.5,
+  spiked: 3.1,
+  spikes: 3.1,
+  spills: 2.9,
+  spinal: 3.6,
+  spines: 2.5,
+  spinet: 1.6,
+  spiral: 3.3,
+  spires: 2.6,
+  spirit: 4.7,
+  spited: 1.3,
+  splash: 3.6,
+  splats: 1.3,
+  spleen: 3.4,
+  splice: 2.6,
+  spline: 1.3,
+  splint: 2.9,
+  splits: 3.2,
+  spoils: 3.3,
+  spoken: 4.3,
+  spokes: 2.8,
+  sponge: 3.8,
+  spongy: 2.4,
+  spooks: 3.1,
+  spooky: 3.7,
+  spools: 2.2,
+  spoons: 3.3,
+  spores: 2.7,
+  sports: 4.4,
+  sporty: 2.9,
+  spotty: 2.8,
+  spouse: 3.3,
+  spouts: 1.8,
+  sprain: 2.9,
+  sprang: 2.9,
+  sprawl: 2.1,
+  sprays: 2.6,
+  spread: 4.5,
+  sprees: 2.1,
+  sprigs: 1.8,
+  spring: 4.5,
+  sprint: 2.8,
+  sprite: 2.8,
+  spritz: 2.7,
+  sprout: 3,
+  spruce: 3,
+  sprung: 3.4,
+  spunky: 2.8,
+  spurns: 1.6,
+  spurts: 2.2,
+  sputum: 2.4,
+  spying: 3.7,
+  squabs: 2.1,
+  squads: 3.3,
+  squall: 2.6,
+  square: 4.5,
+  squash: 3.6,
+  squats: 2.4,
+  squawk: 3.2,
+  squaws: 2.6,
+  squeak: 3.4,
+  squeal: 3.4,
+  squids: 2.1,
+  squint: 3,
+  squire: 3.5,
+  squirm: 2.9,
+  squirt: 3.4,
+  squish: 3,
+  stable: 4.1,
+  stacks: 3.3,
+  staffs: 2.1,
+  staged: 3.4,
+  stages: 3.5,
+  stains: 3.6,
+  stairs: 4.4,
+  staked: 3.2,
+  stakes: 3.7,
+  staler: 1.3,
+  stalks: 3,
+  stalls: 3,
+  stamen: 1.9,
+  stamps: 3.7,
+  stance: 3.3,
+  stanch: 1.3,
+  stands: 4.3,
+  stanza: 1.6,
+  staple: 3,
+  starch: 3.1,
+  stared: 3.4,
+  stares: 3.1,
+  starry: 2.9,
+  starts: 4.7,
+  starve: 3.8,
+  stated: 3.6,
+  states: 4.7,
+  static: 3.7,
+  statue: 4,
+  status: 4.2,
+  staves: 2.1,
+  stayed: 4.5,
+  steady: 4.4,
+  steaks: 3.6,
+  steals: 3.6,
+  steams: 2.1,
+  steamy: 3,
+  steeds: 2.2,
+  steels: 2,
+  steely: 2.4,
+  steers: 3,
+  steins: 2.1,
+  stench: 3.3,
+  steppe: 2.5,
+  stereo: 3.8,
+  sterns: 2.2,
+  stewed: 2.6,
+  sticks: 4.1,
+  sticky: 3.8,
+  stiffs: 3,
+  stifle: 2.5,
+  stigma: 2.7,
+  stiles: 3.4,
+  stills: 2.7,
+  stilts: 2.6,
+  stings: 3.2,
+  stingy: 3.1,
+  stinks: 4.1,
+  stints: 1.6,
+  stitch: 3.9,
+  stocks: 3.6,
+  stocky: 2.2,
+  stodgy: 2.2,
+  stoics: 1.8,
+  stoked: 2.9,
+  stoker: 3.2,
+  stokes: 3.5,
+  stolen: 4.5,
+  stoles: 1.6,
+  stolid: 1.6,
+  stomps: 2.2,
+  stoned: 3.7,
+  stoner: 3.3,
+  stones: 4.1,
+  stooge: 3,
+  stools: 2.8,
+  stoops: 2.8,
+  stored: 3.5,
+  stores: 4,
+  storks: 2.1,
+  storms: 3.3,
+  stormy: 3.2,
+  stoves: 2.4,
+  stowed: 2.8,
+  strafe: 2,
+  strain: 3.8,
+  strait: 2.2,
+  strand: 3.3,
+  straps: 3.1,
+  strata: 2.3,
+  straws: 3.3,
+  strays: 3.1,
+  streak: 3.8,
+  stream: 3.9,
+  street: 5.2,
+  stress: 4.2,
+  strewn: 2.6,
+  strict: 3.8,
+  stride: 3.3,
+  strife: 3.2,
+  strike: 4.7,
+  string: 4.1,
+  stripe: 3.2,
+  strips: 3.2,
+  strive: 3.1,
+  strobe: 2.5,
+  strode: 2.8,
+  stroke: 4.1,
+  stroll: 3.6,
+  strong: 4.9,
+  strove: 2.1,
+  struck: 4.2,
+  strums: 2.1,
+  strung: 3.3,
+  struts: 2.5,
+  stubby: 2.7,
+  stucco: 2.6,
+  studio: 4.4,
+  stuffs: 2.8,
+  stuffy: 3.6,
+  stumps: 2.7,
+  stumpy: 3.1,
+  stunts: 3.3,
+  stupid: 5.3,
+  stupor: 2.6,
+  sturdy: 3.2,
+  styled: 2.1,
+  styles: 3.4,
+  stylus: 2.1,
+  stymie: 2.2,
+  subbed: 2.2,
+  subdue: 2.9,
+  sublet: 2.8,
+  submit: 3.7,
+  suborn: 1.3,
+  subset: 2.1,
+  subtle: 3.8,
+  subtly: 2.6,
+  suburb: 2.8,
+  subway: 4,
+  succor: 2.3,
+  sucked: 4,
+  sucker: 4.2,
+  suckle: 2.2,
+  sudden: 4.5,
+  suffer: 4.4,
+  suffix: 1.6,
+  sugars: 3,
+  sugary: 2.5,
+  suited: 3.5,
+  suites: 3.2,
+  suitor: 3.1,
+  sulfur: 3.1,
+  sulked: 1.3,
+  sullen: 2.8,
+  sultan: 3.5,
+  sultry: 2.4,
+  summed: 2.6,
+  summer: 4.9,
+  summit: 3.5,
+  summon: 3.6,
+  sundae: 3.2,
+  sunder: 1.6,
+  sundry: 2.4,
+  sunken: 3,
+  sunlit: 2.2,
+  sunset: 4,
+  suntan: 3,
+  superb: 3.5,
+  supers: 1.9,
+  supine: 1.9,
+  supped: 2,
+  supper: 4.3,
+  supple: 2.8,
+  supply: 4.3,
+  surely: 4.4,
+  surest: 2.5,
+  surety: 2.1,
+  surfed: 2.6,
+  surfer: 3.2,
+  surged: 2.1,
+  surges: 2.6,
+  surrey: 2.7,
+  surtax: 1.6,
+  survey: 3.6,
+  suture: 3.4,
+  svelte: 2,
+  swamis: 1.9,
+  swamps: 2.9,
+  swampy: 2.3,
+  swanky: 2.4,
+  swarms: 2.6,
+  swatch: 2.5,
+  swayed: 2.8,
+  swears: 3.4,
+  sweats: 3.2,
+  sweaty: 3.6,
+  sweeps: 3.3,
+  sweets: 3.4,
+  swells: 3.1,
+  swerve: 2.8,
+  swifts: 1.3,
+  swines: 1.3,
+  swings: 3.5,
+  swiped: 3.2,
+  swipes: 2.1,
+  swirls: 2.5,
+  swirly: 2.4,
+  switch: 4.4,
+  swivel: 2.8,
+  swoons: 1.8,
+  swoops: 1.9,
+  swords: 3.6,
+  sylvan: 2,
+  symbol: 3.9,
+  synced: 2.1,
+  syntax: 2.5,
+  syrups: 1.8,
+  syrupy: 1.6,
+  system: 5,
+  tabbed: 1.3,
+  tabled: 1.3,
+  tables: 4.1,
+  tablet: 3.2,
+  taboos: 2.4,
+  tacked: 2.3,
+  tackle: 3.6,
+  tactic: 3.2,
+  tagged: 3.3,
+  tailed: 3.1,
+  tailor: 3.6,
+  taints: 1.6,
+  takers: 3,
+  taking: 5.4,
+  talent: 4.4,
+  talked: 5,
+  talker: 3.3,
+  taller: 3.7,
+  tallow: 2,
+  talons: 2.7,
+  tamale: 2.4,
+  tamely: 1.3,
+  tamest: 1.3,
+  taming: 2.6,
+  tamper: 2.7,
+  tampon: 2.8,
+  tandem: 2.5,
+  tangle: 3,
+  tangos: 2,
+  tanked: 3,
+  tanker: 3.3,
+  tanned: 2.8,
+  tanner: 3.6,
+  tapers: 1.9,
+  taping: 3.3,
+  tapped: 3.7,
+  target: 4.6,
+  tariff: 2.1,
+  tarmac: 2.6,
+  tarots: 1.3,
+  tarpon: 2.2,
+  tarred: 2.5,
+  tartan: 2.5,
+  tartar: 3.2,
+  tartly: 1.3,
+  tasked: 2.5,
+  tassel: 2.7,
+  tasted: 3.8,
+  taster: 2.4,
+  tastes: 4.1,
+  tatted: 1.6,
+  tattle: 2.2,
+  tattoo: 4.1,
+  taught: 4.6,
+  taunts: 2.2,
+  tavern: 3.5,
+  tawdry: 2.8,
+  taxied: 2,
+  taxing: 2.5,
+  teabag: 1.6,
+  teacup: 2.8,
+  teamed: 2.8,
+  teapot: 2.9,
+  teared: 1.6,
+  teased: 3,
+  teaser: 2.4,
+  teases: 2.4,
+  techno: 2.9,
+  tedium: 2.4,
+  teeing: 2.2,
+  teeter: 2,
+  teethe: 1.3,
+  teller: 3.4,
+  temped: 1.8,
+  temper: 4.1,
+  temple: 4.2,
+  tempos: 1.6,
+  tempts: 2.1,
+  tenant: 3.5,
+  tended: 3,
+  tender: 3.9,
+  tendon: 2.8,
+  tenets: 2.4,
+  tennis: 4.1,
+  tenors: 2.3,
+  tensed: 2.3,
+  tenser: 1.8,
+  tenses: 1.9,
+  tensor: 1.9,
+  tented: 2.3,
+  tenths: 2.4,
+  tenure: 3.2,
+  tepees: 1.6,
+  termed: 2.3,
+  terror: 4,
+  tested: 4,
+  tester: 2.5,
+  testes: 2.2,
+  tether: 2.7,
+  texted: 2.2,
+  thanks: 5.8,
+  thatch: 2.9,
+  thawed: 2.7,
+  thefts: 2.7,
+  theirs: 3.9,
+  themes: 3,
+  thence: 2.4,
+  theory: 4.5,
+  theses: 2.1,
+  thesis: 3.5,
+  thieve: 2.1,
+  thighs: 3.6,
+  things: 5.8,
+  thinks: 5,
+  thinly: 2.4,
+  thirds: 2.7,
+  thirst: 3.6,
+  thirty: 4.2,
+  thongs: 2.7,
+  thorax: 2.6,
+  thorns: 3.2,
+  thorny: 2.8,
+  though: 5.3,
+  thrall: 2.4,
+  thrash: 2.7,
+  thread: 3.7,
+  threat: 4.3,
+  threes: 3.2,
+  thresh: 1.6,
+  thrice: 2.7,
+  thrift: 2.6,
+  thrill: 3.9,
+  thrive: 3.2,
+  throat: 4.6,
+  throbs: 2.3,
+  throes: 2.7,
+  throne: 3.9,
+  throng: 2.5,
+  thrown: 4.3,
+  throws: 3.9,
+  thrums: 2,
+  thrush: 2.6,
+  thrust: 3.6,
+  thumbs: 3.7,
+  thumps: 2,
+  thwack: 1.6,
+  thwart: 2.5,
+  thymus: 1.8,
+  tiaras: 2.3,
+  ticked: 3,
+  ticker: 3,
+  ticket: 4.7,
+  tickle: 3.7,
+  tidbit: 2.5,
+  tidied: 2.4,
+  tidier: 1.8,
+  tidily: 1.3,
+  tigers: 3.6,
+  tights: 3.4,
+  tiling: 1.9,
+  tilled: 1.9,
+  tiller: 2.6,
+  tilted: 2.8,
+  timber: 3.4,
+  timbre: 2.1,
+  timely: 3,
+  timers: 2.8,
+  timing: 4.2,
+  tinder: 1.8,
+  tinged: 1.3,
+  tingle: 3,
+  tingly: 2.8,
+  tinier: 1.8,
+  tinker: 3.3,
+  tinkle: 3,
+  tinned: 2.1,
+  tinsel: 2.7,
+  tinted: 2.7,
+  tipped: 3.7,
+  tipper: 2.8,
+  tipple: 2.1,
+  tiptoe: 2.9,
+  tiptop: 2.4,
+  tirade: 2.3,
+  tiring: 3.1,
+  tissue: 4,
+  titans: 3.2,
+  tithes: 1.6,
+  titled: 2.8,
+  titles: 3.4,
+  titter: 1.3,
+  tittle: 2.1,
+  toasts: 2.7,
+  toasty: 2.8,
+  toddle: 2.5,
+  toeing: 1.6,
+  toffee: 2.6,
+  toggle: 2.5,
+  toiled: 2.2,
+  toiler: 1.3,
+  toilet: 4.5,
+  tokens: 3,
+  toking: 1.6,
+  tolled: 1.9,
+  tomato: 3.8,
+  tomboy: 2.5,
+  tomcat: 2.8,
+  tongue: 4.5,
+  tonics: 2.5,
+  toning: 1.3,
+  tonnes: 1.9,
+  tonsil: 2.5,
+  tooled: 1.3,
+  tooted: 1.6,
+  toothy: 2,
+  topics: 3,
+  topped: 3,
+  topple: 2.8,
+  toques: 2,
+  torpid: 1.3,
+  torpor: 1.8,
+  torque: 2.9,
+  torrid: 2.7,
+  torsos: 1.8,
+  tortes: 1.6,
+  tossed: 3.9,
+  tosses: 2.8,
+  tossup: 2,
+  totals: 2.5,
+  totems: 2.3,
+  toting: 2.6,
+  totter: 1.6,
+  toucan: 1.9,
+  touchy: 3.5,
+  toughs: 1.6,
+  toupee: 3.1,
+  toured: 3,
+  touted: 2.1,
+  toward: 4.4,
+  towels: 4,
+  towers: 3.7,
+  towing: 3,
+  toxins: 3,
+  toying: 3,
+  traced: 3.6,
+  tracer: 3.2,
+  traces: 3.7,
+  tracks: 4.2,
+  tracts: 2.2,
+  traded: 3.6,
+  trader: 3.2,
+  trades: 3.1,
+  tragic: 4.1,
+  trails: 3.3,
+  trains: 3.9,
+  traits: 3.1,
+  tramps: 3.2,
+  trance: 3.7,
+  trashy: 3,
+  trauma: 4.2,
+  travel: 4.5,
+  treads: 2.8,
+  treats: 3.8,
+  treaty: 3.7,
+  treble: 2.2,
+  tremor: 2.9,
+  trench: 3.5,
+  trends: 2.8,
+  trendy: 2.9,
+  triads: 3,
+  triage: 3.2,
+  trials: 3.6,
+  tribal: 3.3,
+  tribes: 3.3,
+  tricks: 4.3,
+  tricky: 3.9,
+  trifle: 3.3,
+  trills: 2,
+  triple: 4,
+  triply: 1.3,
+  tripod: 3,
+  tripos: 1.3,
+  trivet: 1.9,
+  trivia: 2.9,
+  trolls: 3.1,
+  troops: 4.3,
+  tropes: 1.6,
+  trophy: 3.9,
+  tropic: 2.8,
+  trough: 3.1,
+  troupe: 3.2,
+  trouts: 1.6,
+  trowel: 2.4,
+  truant: 2.5,
+  trucks: 4,
+  trudge: 2.4,
+  truest: 2.6,
+  truism: 1.6,
+  trumps: 2.7,
+  trunks: 3.4,
+  trusts: 3.6,
+  trusty: 3.1,
+  truths: 3.2,
+  trying: 5.7,
+  tryout: 2.9,
+  trysts: 1.8,
+  tubers: 1.3,
+  tubing: 2.8,
+  tucked: 3.5,
+  tucker: 3.9,
+  tufted: 1.6,
+  tugged: 2.3,
+  tulips: 3.1,
+  tumble: 3.2,
+  tumors: 3,
+  tumult: 1.9,
+  tundra: 2.4,
+  tuners: 1.3,
+  tunics: 2.2,
+  tuning: 3.3,
+  tunnel: 4.3,
+  turban: 3.1,
+  turbid: 1.6,
+  turbot: 1.3,
+  tureen: 2.1,
+  turfed: 1.9,
+  turgid: 2.2,
+  turkey: 4.4,
+  turned: 5,
+  turner: 4.1,
+  turnip: 3.2,
+  turret: 2.9,
+  turtle: 4.2,
+  tushes: 1.3,
+  tusked: 1.6,
+  tussle: 2.7,
+  tutors: 2.6,
+  tuxedo: 3.5,
+  tweaks: 2.2,
+  tweeds: 2.1,
+  tweedy: 2.7,
+  tweets: 1.3,
+  twelve: 4.3,
+  twenty: 4.4,
+  twerps: 2.4,
+  twiggy: 2.2,
+  twined: 1.3,
+  twinge: 2.7,
+  twirls: 2,
+  twists: 3.1,
+  twitch: 3.3,
+  twofer: 2.1,
+  tycoon: 3,
+  typhus: 2.7,
+  typify: 1.8,
+  typing: 3.5,
+  typist: 2.9,
+  tyrant: 3.3,
+  udders: 2.5,
+  uglier: 3,
+  ulcers: 3.1,
+  umlaut: 2.1,
+  umping: 1.3,
+  umpire: 3,
+  unable: 4,
+  unbend: 1.6,
+  unbent: 1.3,
+  unbind: 2.1,
+  unbolt: 1.6,
+  unborn: 3.4,
+  uncles: 3.3,
+  uncoil: 1.6,
+  uncork: 2.4,
+  undies: 3,
+  undoes: 2,
+  undone: 3.4,
+  unduly: 2.7,
+  unease: 2,
+  uneasy: 3.3,
+  uneven: 2.9,
+  unfair: 4,
+  unfits: 1.3,
+  unfold: 3.1,
+  unfurl: 1.9,
+  unhand: 2.9,
+  unholy: 3.1,
+  unhook: 2.9,
+  unhurt: 2,
+  unions: 3.1,
+  unique: 4.1,
+  unisex: 2.8,
+  unison: 2.6,
+  united: 4.7,
+  unites: 2.7,
+  unjust: 3.1,
+  unkind: 3.1,
+  unlace: 1.3,
+  unless: 5.1,
+  unlike: 4,
+  unload: 3.7,
+  unlock: 3.7,
+  unmade: 2.4,
+  unmake: 2,
+  unmask: 2.4,
+  unpack: 3.5,
+  unpaid: 3,
+  unpick: 1.6,
+  unplug: 2.9,
+  unread: 2,
+  unreal: 3.4,
+  unrest: 3,
+  unripe: 1.6,
+  unroll: 2.2,
+  unruly: 2.8,
+  unsafe: 3.2,
+  unsaid: 2.9,
+  unseal: 1.9,
+  unseat: 1.8,
+  unseen: 3.3,
+  unsold: 2.1,
+  unstop: 1.3,
+  unsung: 2.4,
+  unsure: 3,
+  untidy: 2.6,
+  untied: 3,
+  unties: 1.6,
+  untold: 3.1,
+  untrue: 3.2,
+  unused: 2.8,
+  unveil: 2.9,
+  unwary: 1.9,
+  unwell: 2.7,
+  unwind: 3.1,
+  unwise: 3,
+  unwrap: 2.7,
+  unzips: 2.2,
+  upbeat: 3,
+  update: 3.7,
+  upheld: 2.6,
+  uphill: 3,
+  uphold: 3.4,
+  upkeep: 2.7,
+  upland: 1.6,
+  uplift: 2.4,
+  upload: 3.1,
+  uppers: 2.8,
+  upping: 2.4,
+  uppity: 2.9,
+  uproar: 3,
+  uproot: 2.5,
+  upsets: 3.2,
+  upshot: 2.6,
+  upside: 4,
+  uptake: 2.2,
+  uptown: 3.7,
+  upward: 3.2,
+  urbane: 2.1,
+  urchin: 2.6,
+  urgent: 4.2,
+  urging: 3,
+  urinal: 2.9,
+  usable: 2.7,
+  useful: 4.1,
+  ushers: 2.7,
+  usurer: 1.9,
+  usurps: 1.3,
+  uterus: 3.3,
+  utmost: 3.4,
+  utopia: 3,
+  utters: 2.2,
+  vacant: 3.4,
+  vacate: 3,
+  vacuum: 3.8,
+  vagary: 1.6,
+  vagina: 3.7,
+  vaguer: 1.3,
+  vainly: 2.1,
+  valets: 2.6,
+  valise: 2.8,
+  valley: 4.4,
+  valued: 3.3,
+  values: 3.9,
+  valves: 3.2,
+  vamped: 1.8,
+  vandal: 2.5,
+  vanish: 3.5,
+  vanity: 3.6,
+  vapors: 2.5,
+  varied: 2.9,
+  varies: 2.7,
+  varlet: 2.3,
+  vassal: 2.9,
+  vaster: 1.6,
+  vastly: 2.7,
+  vaults: 3,
+  vector: 3.2,
+  veered: 2.5,
+  vegans: 2.1,
+  veggie: 2.8,
+  veiled: 2.7,
+  vellum: 1.6,
+  velour: 2.6,
+  velvet: 3.8,
+  vendor: 3.1,
+  veneer: 2.9,
+  venous: 2.5,
+  vented: 2.2,
+  venues: 2.3,
+  verbal: 3.5,
+  verged: 1.3,
+  verges: 1.8,
+  verify: 3.7,
+  verily: 2.8,
+  verity: 1.8,
+  vermin: 3.4,
+  vernal: 1.3,
+  versed: 3,
+  verses: 3,
+  versus: 3.9,
+  vertex: 1.6,
+  vesper: 2,
+  vessel: 4,
+  vested: 3.3,
+  vestry: 2.2,
+  vetoed: 2.3,
+  vetoes: 2.1,
+  vetted: 2.5,
+  vexing: 2.4,
+  viable: 3.4,
+  viands: 1.3,
+  vicars: 1.6,
+  victim: 4.7,
+  victor: 4.3,
+  videos: 3.6,
+  viewed: 3,
+  viewer: 3.2,
+  vigils: 1.9,
+  vilely: 1.8,
+  vilest: 2.2,
+  vilify: 2.2,
+  villas: 2.4,
+  vinyls: 1.6,
+  violas: 1.3,
+  violet: 3.9,
+  violin: 3.7,
+  vipers: 2.9,
+  virgin: 4.3,
+  virile: 2.8,
+  virtue: 3.7,
+  visage: 2.3,
+  viscid: 1.3,
+  viscus: 1.6,
+  vision: 4.4,
+  visits: 3.7,
+  visors: 2.2,
+  vistas: 2.3,
+  visual: 4.1,
+  vitals: 3.6,
+  vivace: 1.6,
+  vixens: 2.1,
+  vizier: 2.4,
+  vocals: 2.8,
+  voiced: 2.5,
+  voices: 4.2,
+  voided: 2,
+  volley: 2.7,
+  volume: 3.8,
+  vomits: 2.7,
+  voodoo: 3.7,
+  vortex: 3.2,
+  voters: 3.3,
+  voting: 3.7,
+  votive: 2.3,
+  vowels: 2.7,
+  vowing: 2,
+  voyage: 3.8,
+  voyeur: 2.6,
+  vulgar: 3.5,
+  wacker: 2.7,
+  wackos: 2.7,
+  wadded: 1.9,
+  waddle: 2.7,
+  waders: 2.5,
+  wading: 2.8,
+  wafers: 2.5,
+  waffle: 3.3,
+  wafted: 2,
+  wagers: 2.4,
+  wagged: 2.1,
+  waggle: 2.6,
+  waging: 2.4,
+  wagons: 3.5,
+  waists: 2,
+  waited: 4.5,
+  waiter: 4.1,
+  waived: 2.8,
+  waiver: 3,
+  waives: 1.9,
+  wakens: 1.3,
+  waking: 3.9,
+  walked: 4.7,
+  walker: 4.2,
+  walled: 2.7,
+  wallet: 4.4,
+  wallop: 2.9,
+  wallow: 3.2,
+  walnut: 3.3,
+  walrus: 3,
+  wampum: 2.6,
+  wander: 3.8,
+  wangle: 2.2,
+  waning: 2.7,
+  wanted: 5.7,
+  wanton: 2.9,
+  warble: 2.3,
+  warden: 4.1,
+  warder: 2.1,
+  warily: 1.3,
+  warmed: 3.3,
+  warmer: 3.6,
+  warmly: 2.7,
+  warmth: 3.6,
+  warned: 4.2,
+  warped: 3.2,
+  warred: 1.6,
+  warren: 4.2,
+  washed: 4.1,
+  washer: 3.3,
+  washes: 3.3,
+  wasted: 4.2,
+  waster: 1.6,
+  wastes: 2.8,
+  waters: 4,
+  watery: 2.8,
+  wattle: 3,
+  wavers: 1.8,
+  waving: 3.7,
+  waxing: 3,
+  waylay: 1.8,
+  weaken: 3.1,
+  weaker: 3.4,
+  weakly: 2.6,
+  wealth: 3.8,
+  weaned: 2.4,
+  weapon: 4.7,
+  wearer: 2.7,
+  weasel: 3.7,
+  weaved: 2.2,
+  weaver: 3.9,
+  weaves: 2.5,
+  webbed: 2.5,
+  webcam: 2.3,
+  wedded: 3.5,
+  wedged: 3,
+  wedges: 2.5,
+  weeded: 2,
+  weeder: 1.9,
+  weekly: 3.7,
+  weeper: 1.8,
+  weevil: 2.7,
+  weighs: 3.5,
+  weight: 4.6,
+  weirdo: 3.5,
+  welded: 2.8,
+  welder: 2.7,
+  welkin: 1.3,
+  welled: 1.9,
+  welter: 1.3,
+  wended: 1.3,
+  wetter: 2.7,
+  whacks: 2.7,
+  whaled: 1.9,
+  whaler: 2.6,
+  whales: 3.8,
+  whammy: 2.8,
+  wheels: 4.1,
+  wheeze: 2.8,
+  wheezy: 2.4,
+  whelks: 1.3,
+  whelps: 1.3,
+  whence: 3,
+  wheres: 2.5,
+  whiffs: 1.6,
+  whiles: 1.9,
+  whilst: 3.2,
+  whimsy: 2.7,
+  whined: 2,
+  whiner: 2.4,
+  whines: 2.8,
+  whinny: 2.4,
+  whisks: 2,
+  whiten: 1.8,
+  whiter: 2.9,
+  whites: 3.7,
+  wholly: 3.1,
+  whoops: 3.7,
+  whoosh: 3.1,
+  whores: 3.8,
+  whorls: 1.3,
+  wicked: 4.1,
+  wicker: 3,
+  wicket: 2.1,
+  widely: 3.2,
+  widens: 1.8,
+  widest: 2.1,
+  widows: 3.3,
+  wields: 2.4,
+  wiener: 3.3,
+  wifely: 2.3,
+  wigged: 2.7,
+  wiggle: 3.5,
+  wiggly: 2.8,
+  wigwam: 2.5,
+  wilder: 3.3,
+  wildly: 3.3,
+  wiling: 1.8,
+  willed: 2.8,
+  willow: 3.8,
+  wilted: 2.4,
+  wimple: 2.2,
+  winced: 1.9,
+  winces: 2.2,
+  winded: 2.5,
+  window: 4.9,
+  windup: 2.3,
+  winery: 2.5,
+  winged: 3.1,
+  winger: 2.7,
+  wining: 2,
+  winked: 2.9,
+  winner: 4.5,
+  winter: 4.4,
+  wintry: 2.3,
+  wipers: 2.6,
+  wiping: 3.3,
+  wiring: 3.4,
+  wisdom: 4,
+  wisely: 3.2,
+  wisest: 2.8,
+  wished: 3.9,
+  wisher: 1.6,
+  wishes: 4.3,
+  withal: 2.5,
+  wither: 3,
+  within: 4.8,
+  wizard: 4,
+  wobble: 2.8,
+  wobbly: 2.9,
+  woeful: 2.1,
+  wolfed: 1.8,
+  wolves: 3.8,
+  wombat: 2.5,
+  wonder: 5.1,
+  wonted: 1.3,
+  wooded: 2.5,
+  wooden: 3.9,
+  woodsy: 2.4,
+  wooers: 1.3,
+  woofer: 2.3,
+  wooing: 2.8,
+  woolen: 2.8,
+  woolly: 2.7,
+  worded: 2.4,
+  worked: 5.1,
+  worker: 4,
+  worlds: 3.9,
+  wormed: 2.3,
+  worsen: 2.6,
+  worthy: 4,
+  wounds: 4.1,
+  wowing: 1.6,
+  wraith: 2.3,
+  wreaks: 2.1,
+  wreath: 3,
+  wrecks: 3.1,
+  wrench: 3.6,
+  wrests: 1.3,
+  wretch: 3.2,
+  wright: 3.6,
+  wrings: 1.8,
+  wrists: 3.6,
+  writer: 4.4,
+  writes: 3.9,
+  writhe: 2.2,
+  wrongs: 3,
+  wusses: 2.1,
+  yachts: 2.7,
+  yahoos: 2.4,
+  yakked: 1.8,
+  yammer: 2.1,
+  yanked: 3.1,
+  yapped: 1.8,
+  yawing: 1.8,
+  yawned: 2,
+  yearly: 2.9,
+  yearns: 2.5,
+  yeasts: 1.8,
+  yelled: 3.8,
+  yellow: 4.5,
+  yelped: 2.1,
+  yeoman: 2.2,
+  yeomen: 1.6,
+  yields: 2.8,
+  yippee: 3.1,
+  yodels: 2.4,
+  yogurt: 3.4,
+  yokels: 2.8,
+  yonder: 3.5,
+  youths: 2.8,
+  yuccas: 1.8,
+  yuppie: 2.9,
+  zanies: 1.3,
+  zapped: 2.8,
+  zapper: 2,
+  zealot: 2.3,
+  zebras: 2.7,
+  zenith: 2.6,
+  zephyr: 3,
+  zeroed: 2.6,
+  zigzag: 2.7,
+  zinged: 1.3,
+  zinger: 2.3,
+  zinnia: 1.8,
+  zipped: 2.7,
+  zipper: 3.5,
+  zircon: 2.1,
+  zither: 2.1,
+  zodiac: 2.8,
+  zombie: 3.6,
+  zoning: 3.1,
+  zonked: 2.4,
+  zoomed: 2.2,
+  zygote: 2.1
+};
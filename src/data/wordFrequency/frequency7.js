@@ -0,0 +1,7971 @@
+// src/data/wordFrequency/frequency7.js
+//
+// 7-LETTER WORD FREQUENCY (generated by scripts/buildWordFrequency.js - do not edit by hand)
+//
+// Zipf frequency (log10 of occurrences per billion words) from SUBTLEX-US film
+// subtitles. ~1 = rare, 3 = uncommon, 4-5 = everyday words. Words that never
+// appear in the corpus are left out (treated as 0).
+//
+// Source: subtlex-word-frequencies npm package (ISC, Copyright (c) 2015 Zeke Sikelianos)
+
+/**
+ * Commonness score per word
+ * Total: 7955 of 9594 words found in the corpus
+ */
+export const WORD_FREQUENCY = {
+  abalone: 2.7,
+  abandon: 3.9,
+  abating: 1.3,
+  abdomen: 3.5,
+  abducts: 2.2,
+  abetted: 2.2,
+  abettor: 1.3,
+  abiding: 2.7,
+  ability: 4.3,
+  abolish: 2.7,
+  aborted: 2.8,
+  abounds: 2.3,
+  abraded: 2,
+  abreast: 2.7,
+  abridge: 1.3,
+  abscess: 2.7,
+  abscond: 2,
+  absence: 3.8,
+  absolve: 2.8,
+  absorbs: 2.7,
+  abstain: 2.7,
+  abusers: 2.3,
+  abusing: 3.1,
+  abusive: 3.2,
+  abysmal: 2.6,
+  abysses: 1.6,
+  academy: 4.1,
+  acceded: 1.3,
+  accents: 3.1,
+  accepts: 3.3,
+  acclaim: 2.6,
+  accords: 2.2,
+  accosts: 1.3,
+  account: 4.7,
+  accrual: 1.6,
+  accrued: 2.4,
+  accrues: 1.3,
+  accused: 4.1,
+  accuser: 2.5,
+  accuses: 2.8,
+  acerbic: 1.9,
+  acetate: 2.1,
+  acetone: 2.2,
+  achieve: 3.9,
+  acidity: 2.3,
+  acolyte: 2.1,
+  acquire: 3.4,
+  acreage: 2.6,
+  acrobat: 2.8,
+  acronym: 2.5,
+  acrylic: 2.7,
+  actions: 4.1,
+  actives: 1.3,
+  actress: 4.2,
+  actuary: 2.1,
+  actuate: 1.3,
+  acutely: 2.4,
+  adamant: 3,
+  adapted: 3,
+  adapter: 2.3,
+  addenda: 1.6,
+  addicts: 3.3,
+  addling: 1.3,
+  address: 4.7,
+  adduced: 1.3,
+  adenoid: 2,
+  adhered: 2.1,
+  adheres: 1.8,
+  adipose: 1.9,
+  adjoins: 2,
+  adjourn: 3.1,
+  adjudge: 1.3,
+  adjunct: 2.1,
+  adjusts: 2.2,
+  admiral: 4.2,
+  admired: 3.6,
+  admirer: 3.5,
+  admires: 2.7,
+  adopted: 3.9,
+  adoring: 2.8,
+  adorned: 2.2,
+  adrenal: 2.5,
+  advance: 4.2,
+  adverbs: 2,
+  adverse: 2.8,
+  adverts: 1.9,
+  advised: 3.7,
+  adviser: 3,
+  advises: 2.7,
+  aerials: 2.2,
+  aerobic: 2.2,
+  aerosol: 2.4,
+  affable: 2.1,
+  affably: 1.6,
+  affairs: 4.2,
+  affects: 3.7,
+  affirms: 1.6,
+  affixed: 1.3,
+  afflict: 1.9,
+  affords: 2.4,
+  affront: 2.8,
+  afghans: 2.3,
+  against: 5.3,
+  ageless: 2.5,
+  agendas: 2.6,
+  agility: 2.7,
+  agitate: 2.6,
+  agonies: 2.4,
+  agonize: 2,
+  aground: 2.7,
+  aileron: 1.3,
+  ailment: 2.7,
+  aimless: 2.4,
+  airdrop: 1.6,
+  airfare: 2.4,
+  airfoil: 1.3,
+  airhead: 2.7,
+  airings: 1.3,
+  airless: 2,
+  airlift: 2.4,
+  airline: 3.8,
+  airmail: 2.5,
+  airport: 4.6,
+  airship: 2.8,
+  airsick: 2.5,
+  airways: 2.9,
+  alarmed: 3.5,
+  albinos: 1.9,
+  albumin: 1.9,
+  alchemy: 2.3,
+  alcohol: 4.2,
+  alcoves: 1.6,
+  alerted: 3.3,
+  alertly: 1.6,
+  alfalfa: 2.8,
+  algebra: 3.2,
+  aliases: 2.9,
+  alibied: 1.8,
+  aligned: 2.9,
+  alimony: 3.4,
+  allayed: 1.9,
+  alleged: 3.6,
+  alleges: 2.2,
+  allegro: 2.7,
+  allergy: 3.2,
+  allover: 1.6,
+  allowed: 4.7,
+  alluded: 2.4,
+  alludes: 1.3,
+  allured: 1.3,
+  allying: 1.9,
+  almanac: 2.9,
+  almonds: 3.1,
+  alpacas: 1.3,
+  already: 5.5,
+  alright: 4.9,
+  altered: 3.7,
+  alumnae: 1.9,
+  alumnus: 2.7,
+  amalgam: 2.2,
+  amassed: 2.6,
+  amasses: 1.3,
+  amateur: 3.8,
+  amazing: 4.9,
+  amazons: 2.2,
+  ambient: 2.7,
+  ambling: 1.3,
+  amended: 2.6,
+  amiable: 2.8,
+  amiably: 1.9,
+  ammeter: 1.3,
+  ammonia: 3.2,
+  amnesia: 3.6,
+  amnesty: 3.1,
+  amoebae: 1.3,
+  amoebas: 2,
+  amoebic: 1.8,
+  amorous: 3,
+  amounts: 3.6,
+  amperes: 1.3,
+  amplify: 2.6,
+  amputee: 2.3,
+  amulets: 2.5,
+  amusing: 4,
+  anagram: 2.7,
+  analogs: 1.8,
+  analogy: 3.1,
+  analyst: 3.5,
+  analyze: 3.5,
+  anarchy: 3.3,
+  anatomy: 3.5,
+  anchors: 2.9,
+  anchovy: 2.1,
+  ancient: 4.3,
+  andante: 1.8,
+  andiron: 1.8,
+  android: 2.9,
+  anemone: 2.4,
+  angelic: 2.8,
+  angered: 2.7,
+  anglers: 1.6,
+  angling: 2.6,
+  angrier: 2.9,
+  angrily: 2.6,
+  anguish: 3.3,
+  angular: 2.1,
+  animals: 4.6,
+  animate: 1.8,
+  anklets: 2.1,
+  annexed: 2.1,
+  annexes: 1.3,
+  annoyed: 3.5,
+  annuals: 1.6,
+  annuity: 2.5,
+  annular: 1.3,
+  anodyne: 1.3,
+  anoints: 1.3,
+  anomaly: 3.1,
+  another: 5.7,
+  answers: 4.5,
+  antacid: 2.5,
+  anteing: 1.3,
+  antenna: 3.4,
+  anthems: 1.8,
+  anthers: 1.3,
+  anthill: 2.8,
+  anthrax: 3.1,
+  antigen: 2.6,
+  antique: 3.8,
+  antiwar: 2.5,
+  antlers: 3,
+  anxiety: 3.8,
+  anxious: 4.1,
+  anybody: 5.4,
+  anymore: 5.3,
+  anytime: 4.4,
+  aphasia: 2.2,
+  aphasic: 1.8,
+  aplenty: 2.3,
+  apology: 4.2,
+  apostle: 3.1,
+  appalls: 1.3,
+  apparel: 2.8,
+  appeals: 3.4,
+  appears: 4.3,
+  appease: 2.7,
+  applaud: 3.3,
+  applied: 3.8,
+  applies: 3.4,
+  appoint: 3.3,
+  apprise: 2.1,
+  approve: 4.1,
+  apricot: 2.8,
+  apropos: 2.5,
+  aquatic: 2.7,
+  aquavit: 1.8,
+  aqueous: 2,
+  aquifer: 1.6,
+  arbiter: 2.3,
+  arbutus: 1.6,
+  arcades: 2.4,
+  archaic: 2.8,
+  archers: 3.1,
+  archery: 2.9,
+  archest: 1.3,
+  arching: 2.1,
+  archive: 3.1,
+  archway: 2.4,
+  arduous: 2.8,
+  arguing: 4,
+  argyles: 1.3,
+  aridity: 1.3,
+  arising: 2.5,
+  armband: 2.4,
+  armfuls: 1.3,
+  armored: 3.5,
+  armpits: 3,
+  armrest: 2.2,
+  arousal: 2.6,
+  aroused: 3.3,
+  arouses: 2.4,
+  arraign: 2.1,
+  arrange: 4.2,
+  arrayed: 2.1,
+  arrears: 2.2,
+  arrests: 3.4,
+  arrival: 3.9,
+  arrived: 4.6,
+  arrives: 4,
+  arsenal: 3.3,
+  arsenic: 3.1,
+  article: 4.3,
+  artisan: 2,
+  artiste: 2.8,
+  artists: 3.9,
+  artless: 1.8,
+  artwork: 3.2,
+  ascends: 1.8,
+  ascents: 1.3,
+  ascetic: 2,
+  ascribe: 2,
+  aseptic: 1.6,
+  asexual: 2.3,
+  ashamed: 4.4,
+  ashcans: 2,
+  ashrams: 1.3,
+  ashtray: 3.5,
+  asinine: 3,
+  askance: 1.9,
+  aspects: 3.4,
+  asphalt: 3,
+  aspired: 2.2,
+  aspires: 2.2,
+  aspirin: 3.9,
+  assault: 4.2,
+  assayed: 1.6,
+  asserts: 2.4,
+  asshole: 4.8,
+  assigns: 2.3,
+  assists: 2.5,
+  assizes: 1.6,
+  assuage: 2.1,
+  assumed: 4.1,
+  assumes: 3.1,
+  assured: 3.8,
+  assures: 2.9,
+  astound: 2.6,
+  astride: 2.2,
+  asunder: 2.8,
+  asylums: 2,
+  atavism: 1.8,
+  atelier: 1.6,
+  atheism: 2,
+  atheist: 3,
+  athlete: 3.7,
+  atlases: 1.6,
+  atoning: 2.2,
+  atrophy: 2.6,
+  attacks: 4.1,
+  attains: 1.6,
+  attempt: 4.3,
+  attends: 2.8,
+  attests: 1.3,
+  attired: 2.3,
+  attract: 3.8,
+  attuned: 2.6,
+  auction: 3.9,
+  audible: 2.8,
+  audibly: 1.8,
+  audited: 2.7,
+  auditor: 2.7,
+  augment: 2.6,
+  augured: 1.3,
+  aureole: 1.6,
+  auricle: 1.3,
+  austere: 2.3,
+  authors: 3.1,
+  autopsy: 4,
+  autumns: 1.6,
+  availed: 1.8,
+  avarice: 2.7,
+  avatars: 2.2,
+  avenged: 2.9,
+  avenger: 3.4,
+  avenges: 2.1,
+  avenues: 2.8,
+  average: 4.2,
+  averted: 2.8,
+  aviator: 2.7,
+  avocado: 3.1,
+  avoided: 3.4,
+  awaited: 2.8,
+  awakens: 2.7,
+  awarded: 3.4,
+  awesome: 4.5,
+  awfully: 4.3,
+  awkward: 4.2,
+  awnings: 1.9,
+  azaleas: 2.5,
+  azimuth: 2.5,
+  babbled: 2.3,
+  babbles: 2.2,
+  baboons: 2.8,
+  babying: 2.1,
+  babyish: 2,
+  babysat: 2.1,
+  babysit: 3.3,
+  bacilli: 1.6,
+  backers: 2.8,
+  backhoe: 2.4,
+  backing: 3.8,
+  backlog: 2.5,
+  backups: 2.7,
+  baddest: 3.1,
+  badgers: 2.2,
+  badness: 2.8,
+  baffled: 3,
+  baffles: 2.6,
+  baggage: 3.8,
+  bagging: 2.9,
+  bagpipe: 2.5,
+  bailiff: 3.3,
+  bailing: 3.1,
+  baiting: 2.9,
+  balance: 4.2,
+  balcony: 3.9,
+  balding: 2.7,
+  baleful: 2,
+  balking: 1.9,
+  ballads: 2.6,
+  ballast: 3.1,
+  ballets: 2.4,
+  balling: 2.8,
+  balloon: 3.9,
+  ballots: 2.5,
+  baloney: 3.5,
+  balsams: 1.3,
+  bamboos: 1.9,
+  bananas: 3.7,
+  bandage: 3.5,
+  bandied: 2.3,
+  bandies: 1.3,
+  banding: 2.1,
+  bandits: 3.6,
+  baneful: 1.3,
+  banging: 3.9,
+  bangles: 2.4,
+  bankers: 3.3,
+  banking: 3.5,
+  banners: 2.9,
+  banning: 3,
+  banquet: 3.7,
+  banshee: 3,
+  bantams: 1.3,
+  banters: 1.3,
+  baobabs: 1.8,
+  baptism: 3.1,
+  baptist: 3.4,
+  baptize: 2.9,
+  barbell: 2.5,
+  barbers: 2.4,
+  barfing: 2.6,
+  bargain: 4.1,
+  barging: 3.2,
+  barista: 1.9,
+  barkers: 1.8,
+  barking: 4,
+  barmaid: 2.8,
+  baronet: 2.3,
+  baroque: 2.5,
+  barrack: 2.5,
+  barrage: 3,
+  barrels: 3.5,
+  barrens: 1.8,
+  barrier: 3.5,
+  barring: 2.8,
+  barrios: 2.1,
+  barroom: 2.7,
+  barrows: 2.5,
+  baseman: 2.8,
+  bashful: 3.1,
+  bashing: 2.8,
+  baskets: 3.2,
+  basking: 2.5,
+  bassist: 2.1,
+  bassoon: 2.5,
+  bastard: 4.8,
+  basting: 1.9,
+  bastion: 2.5,
+  batches: 2.4,
+  bathers: 1.6,
+  bathing: 3.9,
+  bathmat: 2.4,
+  bathtub: 3.8,
+  batsman: 1.6,
+  batsmen: 1.3,
+  batters: 2.2,
+  battery: 4.1,
+  batting: 3.5,
+  battled: 2.7,
+  battles: 3.7,
+  baubles: 2.2,
+  bauxite: 1.8,
+  bawling: 2.9,
+  bayonet: 3.2,
+  bazaars: 1.9,
+  bazooka: 3,
+  beached: 2.6,
+  beaches: 3.6,
+  beacons: 2.4,
+  beadier: 1.6,
+  beading: 1.8,
+  beagles: 2.1,
+  beakers: 2.2,
+  beaming: 2.9,
+  beanbag: 2.7,
+  beaning: 1.6,
+  bearded: 3.1,
+  bearers: 2.4,
+  bearing: 4,
+  bearish: 1.6,
+  beastly: 2.8,
+  beaters: 2.4,
+  beating: 4.4,
+  beatnik: 2.8,
+  beavers: 2.9,
+  because: 6,
+  beckons: 2.6,
+  becomes: 4.4,
+  bedbugs: 2.9,
+  bedding: 2.9,
+  bedpans: 2.6,
+  bedrock: 2.5,
+  bedroll: 2.2,
+  bedroom: 4.6,
+  bedside: 3.3,
+  bedsore: 1.9,
+  bedtime: 3.8,
+  beefing: 2.7,
+  beehive: 2.9,
+  beeline: 2.2,
+  beepers: 2.4,
+  beeping: 3.8,
+  beeswax: 2.7,
+  beetles: 3.1,
+  befalls: 2.3,
+  beggars: 3.3,
+  begging: 4.2,
+  begonia: 1.9,
+  beguile: 2.3,
+  behaved: 3.5,
+  behaves: 2.9,
+  behinds: 2.6,
+  beholds: 1.8,
+  behoove: 2.5,
+  belabor: 1.8,
+  belated: 2.6,
+  belched: 1.8,
+  belches: 2.6,
+  beliefs: 3.6,
+  believe: 5.8,
+  bellboy: 3.1,
+  bellhop: 2.8,
+  bellied: 2,
+  bellies: 3.2,
+  belling: 2.5,
+  bellows: 2.9,
+  belongs: 4.4,
+  beloved: 4.1,
+  belting: 2,
+  beltway: 2.4,
+  belying: 1.6,
+  bemused: 1.8,
+  benched: 2.6,
+  benches: 2.8,
+  bending: 3.4,
+  beneath: 4.1,
+  benefit: 4.2,
+  benumbs: 1.3,
+  benzene: 2.6,
+  bequest: 2.3,
+  berated: 2.2,
+  berries: 3.5,
+  berserk: 3.1,
+  berthed: 1.6,
+  beseech: 3.2,
+  besides: 4.9,
+  besiege: 2.4,
+  bespeak: 2.1,
+  bespoke: 1.8,
+  bestial: 2.1,
+  bestows: 1.9,
+  bethink: 1.9,
+  betides: 1.3,
+  betoken: 1.9,
+  betrays: 2.9,
+  betroth: 1.6,
+  betters: 2.6,
+  betting: 3.9,
+  bettors: 2.3,
+  between: 5.2,
+  betwixt: 2.4,
+  beveled: 1.8,
+  bewitch: 2.1,
+  bicycle: 3.8,
+  bidders: 2.1,
+  biddies: 2.1,
+  bidding: 3.7,
+  bifocal: 1.3,
+  biggest: 4.6,
+  biggies: 2.4,
+  bighorn: 2.7,
+  bigness: 2.1,
+  bigoted: 2.3,
+  bigotry: 2.8,
+  bigwigs: 2.2,
+  bikinis: 3,
+  bilious: 2.4,
+  bilking: 1.9,
+  billets: 1.6,
+  billies: 1.3,
+  billing: 3.3,
+  billion: 4,
+  billows: 2,
+  billowy: 1.8,
+  binders: 2.2,
+  bindery: 1.3,
+  binding: 3.3,
+  biology: 3.7,
+  bipedal: 2.2,
+  biplane: 1.6,
+  bipolar: 2.9,
+  birches: 1.9,
+  birdied: 1.6,
+  birdies: 2.7,
+  birding: 1.6,
+  birthed: 2.4,
+  biscuit: 3.6,
+  bisects: 1.6,
+  bishops: 2.9,
+  bistros: 1.3,
+  bitched: 2.4,
+  bitches: 4.1,
+  bittern: 1.6,
+  bitters: 2.5,
+  bitumen: 1.6,
+  bivouac: 2.3,
+  bizarre: 3.9,
+  blabbed: 2.4,
+  blacked: 3.3,
+  blacken: 2.6,
+  blacker: 2.8,
+  bladder: 3.6,
+  blaming: 3.8,
+  blander: 1.6,
+  blandly: 1.3,
+  blanked: 2.4,
+  blanket: 4.1,
+  blankly: 1.9,
+  blaring: 3.2,
+  blarney: 2.5,
+  blasted: 3.7,
+  blaster: 3,
+  blatant: 3.1,
+  blazers: 2.8,
+  blazing: 3.3,
+  bleaker: 1.3,
+  bleeder: 3.1,
+  bleeped: 2.1,
+  blemish: 2.8,
+  blended: 2.9,
+  blender: 3.2,
+  blessed: 4.1,
+  blesses: 2.5,
+  blights: 1.8,
+  blinded: 3.6,
+  blinder: 2.1,
+  blindly: 3,
+  blinked: 3.1,
+  blinker: 2.4,
+  blintze: 1.6,
+  blister: 3,
+  blitzed: 2.3,
+  blitzes: 1.6,
+  bloated: 3.2,
+  blocked: 3.8,
+  blonder: 1.8,
+  blondes: 3.2,
+  blooded: 2.7,
+  bloomed: 2.3,
+  bloomer: 2.5,
+  blooper: 2.4,
+  blossom: 3.6,
+  blotchy: 2.1,
+  blotted: 2.4,
+  blotter: 2.7,
+  blouses: 2.6,
+  blowers: 2.3,
+  blowgun: 1.8,
+  blowing: 4.3,
+  blowout: 3.2,
+  blowups: 1.8,
+  blubber: 2.9,
+  bluffed: 2.7,
+  bluffer: 2,
+  blunder: 3,
+  blunted: 2.1,
+  bluntly: 2.7,
+  blurred: 2.9,
+  blurted: 2.4,
+  blushed: 2.1,
+  blusher: 1.3,
+  blushes: 2.4,
+  bluster: 2.3,
+  boarded: 3.3,
+  boarder: 2.8,
+  boasted: 2.4,
+  boaster: 1.6,
+  boaters: 1.8,
+  boating: 3,
+  boatman: 2.8,
+  boatmen: 2,
+  bobbies: 2.1,
+  bobbing: 2.8,
+  bobbins: 2.6,
+  bobcats: 2.3,
+  bobsled: 3,
+  bobtail: 2,
+  bodegas: 2.1,
+  bodkins: 1.9,
+  bogging: 1.6,
+  boggled: 1.6,
+  boggles: 2.3,
+  boilers: 2.5,
+  boiling: 3.6,
+  boldest: 2.1,
+  bologna: 3.3,
+  bolster: 2.5,
+  bolting: 2.2,
+  bombard: 2.4,
+  bombast: 1.3,
+  bombers: 3.5,
+  bombing: 3.9,
+  bonanza: 3.2,
+  bonbons: 2.8,
+  bondage: 3.2,
+  bonding: 3.5,
+  bonfire: 3.2,
+  bonging: 1.3,
+  bonitos: 1.8,
+  bonkers: 3,
+  bonnets: 2.1,
+  bonnier: 1.3,
+  bonuses: 2.8,
+  boobies: 3.1,
+  boodles: 1.6,
+  boogied: 1.6,
+  boogies: 1.9,
+  bookend: 1.6,
+  bookies: 3,
+  booking: 3.4,
+  bookish: 2.2,
+  booklet: 2.7,
+  booming: 3,
+  boorish: 2.5,
+  boosted: 2.8,
+  booster: 3.4,
+  bootees: 2,
+  booties: 2.9,
+  booting: 2.2,
+  bootleg: 2.9,
+  boozers: 2.1,
+  boozing: 2.5,
+  bopping: 2.4,
+  borders: 3.4,
+  boredom: 3.3,
+  borough: 3.1,
+  borrows: 2.7,
+  borscht: 2.8,
+  bossier: 1.3,
+  bossing: 2.9,
+  botched: 3.1,
+  botches: 1.8,
+  bothers: 3.9,
+  bottled: 3.4,
+  bottles: 4.1,
+  bottoms: 3.6,
+  boudoir: 2.9,
+  boulder: 3.3,
+  bounced: 3.5,
+  bouncer: 3.2,
+  bounces: 2.9,
+  bounded: 2.2,
+  bounden: 1.6,
+  bounder: 2.2,
+  bouquet: 3.5,
+  bourbon: 3.8,
+  bovines: 1.6,
+  bowlers: 2.2,
+  bowling: 4,
+  boxcars: 2.2,
+  boycott: 3,
+  boyhood: 2.8,
+  bracing: 2.7,
+  bracken: 2.8,
+  bracket: 2.8,
+  bragged: 2.8,
+  bragger: 1.3,
+  braided: 2.5,
+  braille: 2.7,
+  brained: 1.6,
+  braised: 2.3,
+  braises: 1.3,
+  braking: 2.7,
+  branded: 3.2,
+  brasher: 1.3,
+  brashly: 1.3,
+  brasses: 1.9,
+  bravado: 2.7,
+  bravely: 3.2,
+  bravery: 3.5,
+  bravest: 3.2,
+  braving: 2.2,
+  brawler: 2.3,
+  braying: 1.6,
+  brazier: 1.6,
+  breaded: 2.3,
+  breadth: 2.6,
+  breaker: 3.4,
+  breakup: 3.5,
+  breasts: 4.1,
+  breathe: 4.7,
+  breaths: 3.5,
+  breathy: 1.3,
+  breeder: 2.9,
+  breezed: 1.9,
+  breezes: 2.9,
+  brevity: 2.3,
+  brewers: 2,
+  brewery: 3.3,
+  brewing: 3,
+  bribery: 3.1,
+  bribing: 2.8,
+  bricked: 2.1,
+  bridged: 1.9,
+  bridges: 3.7,
+  bridled: 1.8,
+  briefed: 3.3,
+  briefly: 3.5,
+  brigade: 3.5,
+  brigand: 2.2,
+  brisket: 3,
+  briskly: 2.4,
+  bristle: 2.3,
+  bristly: 1.3,
+  brittle: 3.1,
+  broaden: 3,
+  broader: 2.8,
+  broadly: 2.2,
+  brocade: 2,
+  brogues: 1.8,
+  broiled: 2.4,
+  broiler: 2.3,
+  brokers: 3,
+  bromide: 2.7,
+  bromine: 1.6,
+  bronchi: 1.3,
+  broncos: 2.6,
+  bronzed: 2.5,
+  bronzes: 2,
+  brooded: 1.8,
+  brooder: 1.6,
+  brothel: 3.2,
+  brother: 5.5,
+  brought: 5.2,
+  browned: 2,
+  browner: 1.3,
+  brownie: 3.5,
+  browser: 2.2,
+  bruised: 3.3,
+  bruiser: 3.2,
+  bruises: 3.7,
+  brushed: 3.4,
+  brushes: 3.1,
+  brusque: 1.9,
+  brutish: 2.6,
+  bubbled: 1.8,
+  bubbles: 3.8,
+  buckets: 3.4,
+  buckeye: 2.2,
+  bucking: 3.1,
+  buckled: 2.8,
+  buckler: 2.5,
+  buckles: 2.8,
+  bucolic: 2.1,
+  buddies: 4.1,
+  budding: 2.8,
+  budgets: 2.7,
+  budging: 2.2,
+  buffalo: 4.1,
+  buffers: 2.3,
+  buffets: 2.3,
+  buffing: 2.5,
+  buffoon: 2.9,
+  bugaboo: 2.1,
+  bugbear: 1.6,
+  buggers: 2.9,
+  buggies: 2.6,
+  bugging: 3.7,
+  buglers: 1.6,
+  bugling: 2.3,
+  builder: 3,
+  buildup: 3.1,
+  bulbous: 2.3,
+  bulging: 2.9,
+  bulimia: 2.6,
+  bulimic: 2.8,
+  bulkier: 1.6,
+  bulking: 2.2,
+  bulldog: 3.7,
+  bullets: 4.2,
+  bullied: 3.2,
+  bullies: 3.2,
+  bullion: 2.9,
+  bullish: 1.3,
+  bullock: 3.8,
+  bullpen: 2.8,
+  bulwark: 2.2,
+  bumbler: 1.8,
+  bummers: 2,
+  bumming: 2.8,
+  bumpers: 2.5,
+  bumpier: 1.6,
+  bumping: 3.3,
+  bumpkin: 2.6,
+  bunched: 2.3,
+  bunches: 2.9,
+  bundled: 2.5,
+  bundles: 3,
+  bunging: 1.3,
+  bungled: 2.6,
+  bungler: 2.1,
+  bungles: 1.3,
+  bunions: 2.7,
+  bunkers: 2.9,
+  bunking: 2.5,
+  bunnies: 3.3,
+  bunting: 2.3,
+  buoyant: 2.2,
+  burbled: 1.6,
+  burbles: 1.3,
+  burdens: 2.9,
+  burdock: 1.8,
+  bureaus: 2.1,
+  burgers: 3.7,
+  burgher: 1.9,
+  burglar: 3.7,
+  burgled: 2.3,
+  burials: 2.3,
+  burners: 2.7,
+  burning: 4.5,
+  burnout: 2.4,
+  burping: 2.7,
+  burring: 1.6,
+  burrito: 3.2,
+  burrows: 3.4,
+  burying: 3.4,
+  busboys: 2.7,
+  bushels: 2.2,
+  bushier: 1.3,
+  bushman: 2.2,
+  bushmen: 2.1,
+  busiest: 2.9,
+  busters: 2.5,
+  busting: 3.8,
+  bustled: 1.6,
+  bustles: 1.8,
+  butcher: 3.9,
+  butches: 1.3,
+  butlers: 2.8,
+  butters: 3.3,
+  buttery: 2.5,
+  butting: 3.2,
+  buttock: 2.5,
+  buttons: 3.9,
+  buyouts: 1.6,
+  buzzard: 3.3,
+  buzzers: 2.5,
+  buzzing: 3.6,
+  bygones: 3.5,
+  bylines: 1.6,
+  bywords: 1.3,
+  cabanas: 1.6,
+  cabaret: 3.4,
+  cabbage: 3.5,
+  cabbies: 2.1,
+  cabbing: 1.3,
+  cabinet: 3.9,
+  cabling: 1.8,
+  caboose: 2.8,
+  caching: 1.3,
+  cackles: 2.7,
+  cadaver: 3.1,
+  caddied: 1.8,
+  caddies: 1.6,
+  cadence: 2.5,
+  cadenza: 1.6,
+  cadging: 1.8,
+  cadmium: 2.1,
+  caftans: 1.6,
+  cahoots: 2.8,
+  caisson: 1.6,
+  cajoled: 1.8,
+  calcify: 1.3,
+  calcite: 1.9,
+  calcium: 3.2,
+  caliber: 3.4,
+  callers: 2.9,
+  calling: 5.1,
+  callous: 3,
+  calmest: 1.3,
+  calming: 3,
+  caloric: 1.9,
+  calorie: 2.4,
+  calving: 1.3,
+  calypso: 2.5,
+  cameras: 4.3,
+  campers: 2.9,
+  camphor: 2.1,
+  camping: 3.8,
+  canards: 1.3,
+  canasta: 2.7,
+  cancels: 2.7,
+  cancers: 2.6,
+  candied: 2.4,
+  candies: 3,
+  candles: 4,
+  canines: 2.4,
+  cannery: 2.4,
+  canning: 2.3,
+  cannons: 3.2,
+  cantata: 1.9,
+  canteen: 3.2,
+  cantons: 1.3,
+  canvass: 3,
+  canyons: 2.8,
+  capable: 4.3,
+  capably: 1.6,
+  capital: 4.1,
+  capitol: 3.4,
+  capping: 1.9,
+  caprice: 2.9,
+  capsize: 2.3,
+  capstan: 2.2,
+  capsule: 3.4,
+  captain: 5.3,
+  caption: 2.5,
+  captive: 3.4,
+  captors: 2.8,
+  capture: 4,
+  caramel: 3.1,
+  caravan: 3.2,
+  caraway: 2.2,
+  carbide: 2.6,
+  carbine: 2.5,
+  carbons: 2.2,
+  carcass: 3.2,
+  cardiac: 3.6,
+  carding: 1.3,
+  careers: 3.5,
+  careful: 5,
+  carfare: 2.5,
+  cargoes: 2.1,
+  caribou: 2.5,
+  carjack: 2.7,
+  carmine: 3.3,
+  carnage: 3,
+  caroled: 1.3,
+  caroler: 1.3,
+  caromed: 1.3,
+  carotid: 3.1,
+  carouse: 2.1,
+  carpets: 3.1,
+  carping: 1.9,
+  carport: 2,
+  carrels: 1.3,
+  carried: 4.3,
+  carrier: 3.8,
+  carries: 3.8,
+  carrion: 2.5,
+  carrots: 3.6,
+  carsick: 2.8,
+  cartels: 2.7,
+  carting: 2.4,
+  cartons: 3.1,
+  cartoon: 3.6,
+  carvers: 1.6,
+  carving: 3.3,
+  cascade: 2.8,
+  cashews: 2.6,
+  cashier: 3.5,
+  cashing: 3,
+  casings: 3,
+  casinos: 3.5,
+  caskets: 2.5,
+  cassava: 1.6,
+  cassock: 2.5,
+  casting: 3.6,
+  castles: 2.9,
+  castoff: 1.8,
+  casuals: 1.9,
+  catalog: 3.5,
+  catalpa: 1.8,
+  catarrh: 1.6,
+  catbird: 1.9,
+  catcher: 3.6,
+  catches: 3.8,
+  catered: 2.8,
+  caterer: 3.3,
+  catfish: 3.1,
+  cathode: 2.2,
+  catnaps: 1.6,
+  catwalk: 2.8,
+  causing: 4,
+  caustic: 2.1,
+  caution: 3.7,
+  cavalry: 3.8,
+  caveats: 1.3,
+  caveman: 3.3,
+  cavemen: 2.6,
+  caverns: 2.4,
+  cavorts: 1.6,
+  cayenne: 2.9,
+  ceasing: 2.1,
+  ceiling: 3.9,
+  celesta: 2,
+  cellars: 2.6,
+  cellist: 2.6,
+  cements: 1.6,
+  censors: 2.6,
+  censure: 2.2,
+  centaur: 2.1,
+  centers: 3.4,
+  centime: 1.3,
+  central: 4.4,
+  century: 4.3,
+  ceramic: 3.1,
+  cereals: 2.7,
+  certain: 4.9,
+  certify: 2.7,
+  chaffed: 1.3,
+  chafing: 2.8,
+  chagrin: 2.3,
+  chained: 3.5,
+  chaired: 2,
+  chalice: 2.8,
+  chalked: 2.5,
+  chamber: 4.1,
+  chamois: 2.3,
+  chanced: 2.4,
+  chances: 4.5,
+  changed: 5,
+  changes: 4.5,
+  channel: 4.4,
+  chanted: 2.5,
+  chanter: 1.3,
+  chantey: 1.9,
+  chaotic: 3,
+  chapels: 2.3,
+  chaplet: 1.6,
+  chapped: 2.6,
+  chapter: 4.1,
+  charade: 3.3,
+  charged: 4.2,
+  charger: 3.1,
+  charges: 4.5,
+  chariot: 3.3,
+  charity: 4.2,
+  charmed: 3.8,
+  charmer: 3.1,
+  charred: 2.9,
+  charted: 2.5,
+  charter: 3.5,
+  chasers: 2.7,
+  chasing: 4.3,
+  chassis: 2.8,
+  chasten: 1.6,
+  chatted: 2.6,
+  chattel: 2.5,
+  chatter: 3.7,
+  cheapen: 2.5,
+  cheaper: 3.7,
+  cheaply: 2.8,
+  cheated: 4.1,
+  cheater: 3.3,
+  checked: 4.7,
+  checker: 3,
+  checkup: 3.3,
+  cheddar: 3.3,
+  cheeked: 1.3,
+  cheered: 3.1,
+  cheesed: 2.2,
+  cheeses: 2.7,
+  cheetah: 3.4,
+  chemise: 1.3,
+  chemist: 3.3,
+  cherish: 3.6,
+  cheroot: 1.3,
+  cherubs: 2.5,
+  chervil: 1.8,
+  chevron: 2.5,
+  chewing: 3.7,
+  chicest: 1.3,
+  chicken: 4.8,
+  chicory: 2.2,
+  chiding: 1.3,
+  chiefly: 2.3,
+  chiffon: 2.7,
+  chigger: 2.1,
+  chilies: 2.2,
+  chilled: 3.1,
+  chiller: 1.8,
+  chimera: 3,
+  chiming: 2.7,
+  chimney: 3.6,
+  chinked: 1.3,
+  chintzy: 1.8,
+  chipped: 3.4,
+  chipper: 3.1,
+  chirrup: 1.3,
+  chisels: 1.8,
+  chocked: 1.8,
+  choices: 4.1,
+  chokers: 1.6,
+  choking: 3.7,
+  cholera: 3,
+  chomped: 1.9,
+  chooses: 3.6,
+  chopped: 3.7,
+  chopper: 4.1,
+  chorale: 1.8,
+  chortle: 2,
+  chowder: 3.2,
+  chowing: 2.3,
+  chromed: 1.3,
+  chromes: 1.3,
+  chronic: 3.7,
+  chucked: 2.8,
+  chuckle: 3.2,
+  chugged: 1.8,
+  churned: 2.5,
+  chutney: 2.7,
+  cicadas: 2.1,
+  cinched: 2.1,
+  cinches: 2,
+  cinders: 2.6,
+  cinemas: 2.1,
+  ciphers: 2.1,
+  circled: 3.1,
+  circles: 3.9,
+  circuit: 3.8,
+  cistern: 2.3,
+  citadel: 2.7,
+  citizen: 4.1,
+  civilly: 1.8,
+  civvies: 2.4,
+  clacked: 1.3,
+  claimed: 3.9,
+  clamber: 1.6,
+  clammed: 2.1,
+  clamors: 1.6,
+  clamped: 2.8,
+  clanged: 1.3,
+  clanked: 1.6,
+  clapped: 2.7,
+  clapper: 2.6,
+  clarets: 1.3,
+  clarify: 3.3,
+  clarion: 2.5,
+  clarity: 3.3,
+  clashed: 2.3,
+  clashes: 2.2,
+  clasped: 2.1,
+  classed: 1.9,
+  classes: 4.2,
+  classic: 4.2,
+  clatter: 2.8,
+  clauses: 2.6,
+  clawing: 2.7,
+  cleaned: 4.3,
+  cleaner: 3.8,
+  cleanly: 2.7,
+  cleanse: 3.2,
+  cleanup: 3.3,
+  cleared: 4.2,
+  clearer: 3.4,
+  clearly: 4.5,
+  cleaved: 1.8,
+  cleaver: 3.1,
+  cleaves: 3,
+  clement: 2.6,
+  clerics: 1.9,
+  clerked: 1.8,
+  clicked: 3,
+  clients: 4.3,
+  climate: 3.5,
+  climbed: 3.7,
+  climber: 2.9,
+  clinics: 3,
+  clinked: 1.3,
+  clinker: 2.3,
+  clipped: 3.3,
+  clipper: 3.1,
+  cliques: 2.3,
+  cloaked: 2.8,
+  clobber: 2.8,
+  clocked: 3.1,
+  clogged: 3,
+  clomped: 1.8,
+  cloning: 3,
+  closely: 4,
+  closest: 4,
+  closets: 3.3,
+  closing: 4.4,
+  closure: 3.5,
+  clothed: 2.8,
+  clothes: 5,
+  clotted: 2.5,
+  clouded: 3,
+  clouted: 1.3,
+  clovers: 2.7,
+  clowned: 1.6,
+  cloying: 1.6,
+  clubbed: 2.4,
+  clucked: 1.6,
+  clumped: 1.6,
+  clunked: 1.8,
+  clunker: 2.3,
+  cluster: 3.1,
+  clutter: 3,
+  coached: 3,
+  coaches: 3.2,
+  coastal: 2.9,
+  coasted: 1.8,
+  coaster: 3.5,
+  coating: 2.7,
+  coaxing: 2.2,
+  cobbled: 2,
+  cobbler: 3.4,
+  cobbles: 1.3,
+  cobwebs: 2.8,
+  cocaine: 3.9,
+  cockier: 1.3,
+  cocking: 2.7,
+  cockles: 2.5,
+  cockney: 2.5,
+  cockpit: 3.5,
+  coconut: 3.7,
+  cocoons: 2.4,
+  coddled: 2.5,
+  codeine: 2.7,
+  codfish: 2.6,
+  codicil: 2,
+  coerced: 2.9,
+  coerces: 1.6,
+  coexist: 2.7,
+  coffees: 3.3,
+  coffers: 2.2,
+  coffins: 3.3,
+  cognacs: 1.9,
+  cohorts: 2.4,
+  coiling: 1.6,
+  coinage: 1.8,
+  coining: 1.9,
+  coldest: 2.9,
+  colicky: 1.9,
+  colitis: 2.2,
+  collage: 2.9,
+  collars: 3.1,
+  collate: 2.5,
+  collect: 4.3,
+  colleen: 2.8,
+  college: 4.9,
+  collide: 3,
+  collier: 3.7,
+  collies: 1.9,
+  collude: 2.2,
+  cologne: 3.5,
+  colonel: 5,
+  colones: 2,
+  colored: 3.9,
+  coltish: 1.3,
+  columns: 3.4,
+  combine: 3.3,
+  combing: 3.1,
+  comedic: 2.1,
+  comfier: 1.3,
+  comfort: 4.2,
+  comical: 2.9,
+  comings: 2.4,
+  command: 4.6,
+  commend: 3.3,
+  comment: 4.1,
+  commits: 3.1,
+  commode: 2.5,
+  commons: 2.6,
+  commune: 3.1,
+  commute: 2.9,
+  compact: 3.2,
+  company: 5.2,
+  compare: 3.9,
+  compass: 3.6,
+  compels: 2.8,
+  compete: 3.9,
+  compile: 2.7,
+  complex: 4.1,
+  comport: 2.1,
+  compose: 3.2,
+  compost: 2.7,
+  compote: 2,
+  compute: 2.8,
+  comrade: 3.9,
+  concave: 2.2,
+  conceal: 3.4,
+  concede: 3,
+  conceit: 2.7,
+  concept: 4,
+  concern: 4.4,
+  concert: 4.2,
+  concise: 2.6,
+  concoct: 2.4,
+  concord: 2.7,
+  concurs: 2.2,
+  condemn: 3.4,
+  condole: 1.3,
+  condoms: 3.7,
+  condone: 3.1,
+  condors: 1.9,
+  conduct: 4,
+  conduit: 3,
+  confers: 2.2,
+  confess: 4.2,
+  confide: 3.3,
+  confine: 3,
+  confirm: 4.2,
+  conform: 2.9,
+  confuse: 3.7,
+  congeal: 2,
+  congest: 1.3,
+  conical: 2.1,
+  conjure: 3.1,
+  connect: 4,
+  conning: 2.9,
+  connive: 1.6,
+  connote: 1.6,
+  conquer: 3.7,
+  consent: 3.9,
+  consign: 2.3,
+  consist: 2.6,
+  console: 3.3,
+  consort: 2.8,
+  consuls: 1.3,
+  consult: 3.7,
+  consume: 3.3,
+  contact: 4.8,
+  contain: 3.8,
+  contend: 3,
+  content: 3.9,
+  contest: 4.3,
+  context: 3.5,
+  contort: 2,
+  contour: 2.4,
+  control: 5.1,
+  convene: 2.9,
+  convent: 3.5,
+  convert: 3.5,
+  conveys: 2.2,
+  convict: 3.8,
+  convoys: 2.3,
+  cookers: 1.3,
+  cookery: 2.1,
+  cookies: 4.3,
+  cooking: 4.4,
+  cookout: 2.9,
+  coolant: 2.8,
+  coolers: 2.9,
+  coolest: 3.6,
+  coolies: 2.1,
+  cooling: 3.3,
+  coopers: 2.6,
+  cooping: 1.3,
+  cooties: 2.7,
+  copiers: 1.8,
+  copilot: 3,
+  copious: 2.2,
+  coppers: 2.9,
+  coppery: 1.6,
+  copping: 2.8,
+  copters: 2.1,
+  copycat: 2.9,
+  copying: 3.1,
+  cordial: 3.1,
+  cording: 1.3,
+  cordite: 1.8,
+  cordons: 1.3,
+  corking: 1.8,
+  corncob: 2.3,
+  corneal: 2.3,
+  corneas: 2.3,
+  corners: 3.7,
+  cornice: 1.6,
+  cornier: 1.3,
+  corning: 2.1,
+  cornrow: 1.6,
+  corolla: 1.3,
+  coronas: 1.8,
+  coroner: 4,
+  coronet: 2.1,
+  corpora: 1.3,
+  corpses: 3.6,
+  corrals: 2.2,
+  correct: 4.7,
+  corrode: 2,
+  corrupt: 3.7,
+  corsage: 3,
+  corsair: 2.1,
+  corsets: 2.5,
+  costars: 2,
+  costing: 3.4,
+  costume: 4.2,
+  coterie: 1.8,
+  cottage: 3.7,
+  cottons: 2.1,
+  couched: 1.6,
+  couches: 2.6,
+  cougars: 2.7,
+  coughed: 2.8,
+  council: 4.2,
+  counsel: 4.2,
+  counted: 3.8,
+  counter: 4.1,
+  country: 5.2,
+  coupled: 2.9,
+  couples: 3.9,
+  couplet: 1.6,
+  coupons: 3.3,
+  courage: 4.4,
+  courier: 3.5,
+  coursed: 1.6,
+  courses: 3.6,
+  courted: 2.8,
+  courtly: 2.2,
+  cousins: 3.9,
+  covered: 4.5,
+  coverts: 1.6,
+  coveted: 2.9,
+  cowards: 3.5,
+  cowboys: 3.7,
+  cowered: 1.6,
+  cowgirl: 3.1,
+  cowhand: 2.6,
+  cowhide: 2.1,
+  cowlick: 1.9,
+  cowling: 1.8,
+  cowpoke: 1.6,
+  coxcomb: 1.9,
+  coyness: 1.6,
+  coyotes: 3.3,
+  cozened: 1.9,
+  coziest: 1.3,
+  crabbed: 1.6,
+  cracked: 4,
+  cracker: 3.8,
+  crackle: 2.8,
+  crackly: 1.6,
+  crackup: 2.1,
+  cradled: 2.1,
+  cradles: 2.3,
+  crafted: 2.7,
+  crammed: 3,
+  cramped: 3.2,
+  cranial: 2.9,
+  craning: 1.6,
+  cranium: 2.9,
+  cranked: 2.7,
+  crapped: 2.8,
+  crashed: 4,
+  crashes: 3.3,
+  craters: 2.6,
+  crating: 1.8,
+  cravats: 1.9,
+  cravens: 2.2,
+  craving: 3.3,
+  crawled: 3.6,
+  crayons: 3.1,
+  crazier: 3.3,
+  crazies: 3,
+  crazily: 2,
+  creaked: 1.6,
+  creamed: 3.2,
+  creamer: 2.8,
+  creased: 2.5,
+  creases: 2.5,
+  created: 4.4,
+  creates: 3.6,
+  creator: 3.4,
+  credits: 3.5,
+  creeper: 2.9,
+  cremate: 2.6,
+  creoles: 1.6,
+  crested: 2,
+  cretins: 2.7,
+  crevice: 2.6,
+  crewing: 1.3,
+  crewman: 3,
+  crewmen: 2.8,
+  cribbed: 1.8,
+  cricket: 3.5,
+  crimped: 1.9,
+  crimson: 3.1,
+  cringed: 1.9,
+  crinkle: 2.3,
+  crinkly: 1.9,
+  cripple: 3.6,
+  crisper: 2.2,
+  crisply: 1.3,
+  critics: 3.6,
+  critter: 3.1,
+  croaked: 2.7,
+  crochet: 2.2,
+  crocked: 2.3,
+  cronies: 2.5,
+  crooked: 3.8,
+  crooned: 1.8,
+  crooner: 2.4,
+  cropped: 2.4,
+  cropper: 2.5,
+  croquet: 2.9,
+  crossed: 4.2,
+  crosser: 2,
+  crosses: 3.6,
+  crossly: 1.8,
+  crowbar: 3.1,
+  crowded: 4,
+  crowing: 2.5,
+  crowned: 3.2,
+  crucial: 3.7,
+  crucify: 3.3,
+  crudely: 2.2,
+  crudest: 1.8,
+  crudity: 1.9,
+  crueler: 2.2,
+  cruelly: 2.7,
+  cruelty: 3.5,
+  cruised: 2.3,
+  cruiser: 3.5,
+  cruises: 2.8,
+  cruller: 2.3,
+  crumbed: 1.8,
+  crumble: 3.1,
+  crumbly: 2.1,
+  crumpet: 2.5,
+  crumple: 2.2,
+  crunchy: 3,
+  crusade: 3.6,
+  crushed: 3.9,
+  crushes: 3.1,
+  crusted: 2.3,
+  crybaby: 3.1,
+  cryptic: 3,
+  crystal: 4.2,
+  cubical: 1.3,
+  cubicle: 3.4,
+  cuckold: 2.6,
+  cuckoos: 2.3,
+  cuddled: 2.4,
+  cuddles: 2.7,
+  cudgels: 1.3,
+  cuffing: 2.1,
+  cuisine: 3.3,
+  culling: 1.3,
+  culprit: 3,
+  culture: 4.1,
+  culvert: 2.6,
+  cumming: 2.4,
+  cumulus: 2.5,
+  cunning: 3.6,
+  cupcake: 3.5,
+  cupping: 2.2,
+  curable: 2.4,
+  curator: 3,
+  curbing: 2.1,
+  curdled: 2.2,
+  curdles: 1.9,
+  curfews: 1.9,
+  curious: 4.4,
+  curlers: 2.5,
+  curling: 3,
+  currant: 1.6,
+  current: 4.2,
+  curried: 1.8,
+  curries: 1.3,
+  cursing: 3.2,
+  cursive: 1.9,
+  cursory: 2.5,
+  curtail: 2.1,
+  curtain: 4,
+  curving: 2,
+  cushier: 1.3,
+  cushion: 3.3,
+  cuspids: 1.3,
+  cussing: 2.7,
+  custard: 3.1,
+  custody: 4.3,
+  customs: 3.8,
+  cutback: 2.5,
+  cuticle: 2.6,
+  cutlass: 2.7,
+  cutlery: 2.5,
+  cutlets: 2.6,
+  cutoffs: 2.2,
+  cutouts: 2.2,
+  cutters: 3.1,
+  cutting: 4.3,
+  cyanide: 3.3,
+  cycling: 2.6,
+  cyclist: 2,
+  cyclone: 2.7,
+  cygnets: 1.3,
+  cymbals: 2.7,
+  cynical: 3.6,
+  cypress: 2.9,
+  czarina: 1.8,
+  dabbing: 2,
+  dabbled: 2.4,
+  dabbler: 1.3,
+  dabbles: 1.9,
+  daddies: 3.1,
+  daggers: 3.1,
+  dahlias: 1.6,
+  dailies: 2.9,
+  dairies: 1.3,
+  daisies: 3.2,
+  dallied: 1.3,
+  damaged: 4,
+  damages: 3.6,
+  damming: 1.3,
+  damning: 2.6,
+  dampens: 1.8,
+  dampers: 2,
+  damping: 2.2,
+  damsels: 2.3,
+  dancers: 3.7,
+  dancing: 4.7,
+  dandies: 2.2,
+  dangers: 3.4,
+  dangled: 2.3,
+  dangles: 2.1,
+  dappled: 1.6,
+  darkens: 1.9,
+  darkest: 3.5,
+  darling: 5.1,
+  darning: 2,
+  darting: 2.3,
+  dashiki: 2,
+  dashing: 3.4,
+  daubing: 1.6,
+  daunted: 1.9,
+  dauphin: 2.7,
+  dawdled: 1.3,
+  dawning: 2.9,
+  daybeds: 1.3,
+  daytime: 3.6,
+  dazzled: 2.7,
+  dazzles: 2.2,
+  deacons: 2.1,
+  deadens: 1.6,
+  deadest: 2.2,
+  deadpan: 2,
+  deafens: 1.3,
+  dealers: 3.7,
+  dealing: 4.5,
+  dearest: 3.9,
+  deathly: 2.7,
+  debacle: 2.8,
+  debased: 2.3,
+  debated: 2.7,
+  debater: 1.6,
+  debates: 2.7,
+  debauch: 1.8,
+  debrief: 3.1,
+  debtors: 2.5,
+  debuted: 1.8,
+  decades: 3.6,
+  decayed: 2.3,
+  decease: 1.6,
+  deceits: 2,
+  deceive: 3.5,
+  decency: 3.7,
+  decibel: 2.3,
+  decided: 4.9,
+  decides: 3.9,
+  decimal: 2.9,
+  decking: 1.9,
+  declaim: 1.3,
+  declare: 3.9,
+  decline: 3.5,
+  decoded: 2.8,
+  decoder: 2.6,
+  decorum: 2.9,
+  decoyed: 1.9,
+  decreed: 2.7,
+  decrees: 2.5,
+  deduced: 2.6,
+  deduces: 1.3,
+  deducts: 1.3,
+  deejays: 2.1,
+  deeming: 1.6,
+  deepens: 2.2,
+  deepest: 3.7,
+  defaced: 2.5,
+  defaces: 1.3,
+  defamed: 2.2,
+  defames: 1.3,
+  default: 3,
+  defeats: 3,
+  defects: 3.1,
+  defends: 3,
+  defense: 4.5,
+  defiant: 3,
+  deficit: 3,
+  defiled: 2.6,
+  defiles: 1.6,
+  defined: 3.2,
+  defines: 2.9,
+  deflate: 2.4,
+  deflect: 2.7,
+  defraud: 2.6,
+  defrost: 2.6,
+  defunct: 2.5,
+  defused: 2.2,
+  defying: 2.8,
+  degrade: 2.8,
+  degrees: 4.3,
+  deified: 1.6,
+  deigned: 1.8,
+  deities: 2.3,
+  delayed: 3.7,
+  deleted: 3.2,
+  delight: 3.8,
+  deliver: 4.5,
+  deluded: 3.1,
+  deluged: 2,
+  delving: 2.2,
+  demands: 4,
+  demeans: 2.1,
+  demerit: 2.3,
+  demigod: 2,
+  demised: 1.6,
+  demonic: 3.5,
+  demoted: 2.9,
+  demotes: 1.3,
+  demount: 1.3,
+  denials: 2.5,
+  deniers: 1.3,
+  denizen: 1.6,
+  denoted: 1.3,
+  denotes: 2.2,
+  densely: 2.1,
+  densest: 1.8,
+  density: 3.2,
+  denting: 2.1,
+  dentist: 4,
+  denture: 2.3,
+  denuded: 1.6,
+  denying: 3.6,
+  departs: 2.6,
+  depends: 4.5,
+  depicts: 2.2,
+  deplane: 1.6,
+  deplete: 2.1,
+  deplore: 2.4,
+  deploys: 1.6,
+  deports: 1.3,
+  deposed: 2.8,
+  deposit: 4,
+  deprave: 1.8,
+  depress: 2.8,
+  deprive: 3.1,
+  deputes: 1.3,
+  derails: 2,
+  derbies: 1.8,
+  derided: 1.8,
+  derived: 3,
+  derives: 2.4,
+  derrick: 3.1,
+  dervish: 2.4,
+  descant: 1.3,
+  descend: 3.3,
+  descent: 3.4,
+  deserts: 2.9,
+  deserve: 4.6,
+  designs: 3.5,
+  desired: 3.4,
+  desires: 3.7,
+  desktop: 2,
+  despair: 3.8,
+  despise: 3.7,
+  despite: 4.1,
+  despoil: 1.6,
+  despots: 1.8,
+  dessert: 4.1,
+  destine: 1.3,
+  destiny: 4.4,
+  destroy: 4.7,
+  details: 4.5,
+  detects: 2.5,
+  detests: 2.1,
+  detours: 2.4,
+  detoxed: 1.6,
+  detract: 2.1,
+  devalue: 2,
+  develop: 4,
+  deviant: 3,
+  deviate: 2.9,
+  devices: 3.6,
+  deviled: 2.8,
+  devilry: 1.6,
+  devious: 3.2,
+  devised: 3.2,
+  devises: 2,
+  devolve: 2,
+  devoted: 3.9,
+  devotee: 2.1,
+  devotes: 2.3,
+  devours: 2.4,
+  dewdrop: 2.2,
+  dewlaps: 1.3,
+  diagram: 3.1,
+  dialect: 3.1,
+  dialing: 3.1,
+  diamond: 4.3,
+  diapers: 3.7,
+  diaries: 2.9,
+  diarist: 1.9,
+  diatoms: 1.9,
+  dibbles: 1.3,
+  dickeys: 1.6,
+  dictate: 3.2,
+  diction: 2.7,
+  diddled: 2,
+  diddles: 1.3,
+  diesels: 2.3,
+  dietary: 2.5,
+  dieters: 1.3,
+  dieting: 2.8,
+  differs: 2.6,
+  diffuse: 3,
+  digests: 1.8,
+  diggers: 2.6,
+  digging: 4.1,
+  digital: 3.7,
+  dignify: 2.8,
+  dignity: 4,
+  digress: 2.4,
+  dilated: 3.2,
+  dilates: 1.6,
+  dilemma: 3.4,
+  diluted: 2.6,
+  dilutes: 1.9,
+  dimmers: 1.6,
+  dimmest: 1.8,
+  dimming: 2.4,
+  dimpled: 2.3,
+  dimples: 3.1,
+  dimwits: 2.1,
+  dinette: 2.2,
+  dinging: 2.1,
+  dingoes: 2.1,
+  dinkies: 1.3,
+  dinners: 3.7,
+  dinning: 1.9,
+  diocese: 2.9,
+  diorama: 2.6,
+  dioxide: 3,
+  dioxins: 1.8,
+  diploma: 3.4,
+  dippers: 1.3,
+  dipping: 3.1,
+  directs: 2.5,
+  dirtied: 2.5,
+  dirtier: 2.7,
+  dirties: 2,
+  disable: 3.2,
+  disarms: 2.4,
+  disavow: 1.9,
+  disband: 2.7,
+  discard: 3,
+  discern: 2.5,
+  discoed: 1.3,
+  discord: 3,
+  discuss: 4.7,
+  disdain: 2.7,
+  disease: 4.4,
+  disgust: 3.4,
+  dishing: 2.4,
+  dishpan: 2.2,
+  dishrag: 2,
+  dislike: 3.6,
+  dismiss: 3.7,
+  disobey: 3.2,
+  disowns: 1.3,
+  dispels: 1.3,
+  display: 3.9,
+  dispose: 3.5,
+  dispute: 3.5,
+  disrobe: 2.4,
+  disrupt: 3.1,
+  dissect: 3,
+  dissent: 2.8,
+  dissing: 2.7,
+  distaff: 2.2,
+  distant: 3.9,
+  distend: 1.3,
+  distill: 2.1,
+  distort: 2.6,
+  disturb: 4,
+  disused: 2,
+  ditched: 3.4,
+  ditches: 2.9,
+  ditties: 2,
+  diurnal: 1.6,
+  diverge: 1.3,
+  diverse: 2.9,
+  diverts: 1.9,
+  divests: 1.3,
+  divided: 3.6,
+  divider: 2.2,
+  divides: 2.8,
+  divined: 1.9,
+  diviner: 1.9,
+  divorce: 4.5,
+  divulge: 3.1,
+  divvied: 1.6,
+  dizzies: 1.6,
+  docking: 3.3,
+  doctors: 4.6,
+  dodgers: 3.3,
+  dodging: 3.2,
+  doffing: 1.3,
+  dogfish: 1.9,
+  doggies: 2.7,
+  dogging: 2.7,
+  doggone: 3.5,
+  dogwood: 2.3,
+  doilies: 2.3,
+  dollars: 4.9,
+  dollies: 2.3,
+  dolling: 1.8,
+  dollops: 1.6,
+  dolphin: 3.4,
+  domains: 2.2,
+  donated: 3.4,
+  donates: 2.4,
+  donkeys: 2.8,
+  donning: 2.1,
+  doodads: 2.2,
+  doodled: 2.2,
+  doodler: 1.8,
+  doodles: 2.8,
+  dooming: 1.6,
+  doorman: 3.5,
+  doormat: 2.7,
+  doormen: 2.2,
+  doorway: 3.5,
+  dormant: 3.1,
+  dosages: 2.2,
+  dossier: 3,
+  dotting: 2,
+  doubled: 3.6,
+  doubles: 3.5,
+  doublet: 1.9,
+  doubted: 3.5,
+  doubter: 1.3,
+  douches: 1.6,
+  doughty: 2.3,
+  dousing: 1.6,
+  dowager: 2.5,
+  downers: 2.7,
+  downing: 2.9,
+  dowries: 2,
+  drachma: 1.8,
+  drafted: 3.4,
+  draftee: 2,
+  dragged: 4.1,
+  dragnet: 2.5,
+  dragons: 3.7,
+  dragoon: 1.8,
+  drained: 3.3,
+  drainer: 1.3,
+  drapery: 1.8,
+  draping: 1.9,
+  drastic: 3.4,
+  drawers: 3.6,
+  drawing: 4.2,
+  dreaded: 3.1,
+  dreamed: 4.2,
+  dreamer: 3.5,
+  dredged: 2.2,
+  dredges: 1.6,
+  dressed: 4.7,
+  dresser: 3.6,
+  dresses: 4,
+  dribble: 3.1,
+  drifted: 3.3,
+  drifter: 3,
+  drilled: 3,
+  drinker: 3.3,
+  dripped: 2.5,
+  drivers: 3.8,
+  driving: 4.9,
+  drizzle: 2.6,
+  drizzly: 2,
+  droning: 2.5,
+  drooled: 2.5,
+  drooped: 1.8,
+  droplet: 1.6,
+  dropout: 2.9,
+  dropped: 4.7,
+  dropper: 2.6,
+  drought: 3.1,
+  drovers: 1.9,
+  drowned: 3.9,
+  drowses: 1.3,
+  drugged: 3.6,
+  drummed: 2.5,
+  drummer: 3.6,
+  drunken: 3.8,
+  drunker: 2.7,
+  dryness: 2.1,
+  drywall: 2.5,
+  dualism: 1.3,
+  duality: 2.4,
+  dubbing: 2.1,
+  dubious: 3.2,
+  duchess: 3.7,
+  ducking: 3.1,
+  ductile: 1.3,
+  ducting: 1.9,
+  dudgeon: 2.1,
+  dueling: 2.7,
+  duelist: 1.6,
+  duffers: 1.3,
+  dugouts: 1.6,
+  dukedom: 2,
+  dullard: 2.6,
+  dullest: 2.5,
+  dumbest: 3.4,
+  dummies: 3.1,
+  dumpier: 1.6,
+  dumping: 3.6,
+  dungeon: 3.4,
+  dunking: 2.6,
+  dunnest: 1.6,
+  dunning: 2.3,
+  duodena: 1.3,
+  durable: 2.5,
+  dustbin: 2.1,
+  dusters: 2.4,
+  dustier: 1.3,
+  dusting: 3.1,
+  dustman: 1.9,
+  dustpan: 2.4,
+  dutiful: 2.5,
+  dwarfed: 1.8,
+  dweller: 2.2,
+  dwindle: 2,
+  dynamic: 3.3,
+  dynamos: 1.8,
+  dynasty: 3.4,
+  eagerly: 2.8,
+  earache: 2.5,
+  eardrum: 2.5,
+  earldom: 1.8,
+  earlier: 4.6,
+  earlobe: 2.5,
+  earmark: 1.8,
+  earmuff: 1.8,
+  earners: 2.2,
+  earnest: 3.2,
+  earning: 3.4,
+  earplug: 1.8,
+  earring: 3.4,
+  earshot: 2.6,
+  earthed: 1.3,
+  earthen: 1.8,
+  earthly: 3.2,
+  earwigs: 1.3,
+  easiest: 3.6,
+  eastern: 3.9,
+  eatable: 1.8,
+  echelon: 2.9,
+  echoing: 3.4,
+  eclipse: 3.5,
+  ecology: 2.5,
+  economy: 3.8,
+  ecstasy: 3.5,
+  edibles: 1.6,
+  edifice: 2.6,
+  edified: 1.6,
+  editing: 3.3,
+  edition: 3.7,
+  editors: 3.2,
+  educate: 3.3,
+  effaced: 2,
+  effects: 4.1,
+  efforts: 3.9,
+  egghead: 3,
+  egotism: 2.2,
+  egotist: 2.1,
+  eighths: 2.1,
+  ejected: 2.8,
+  elapsed: 2.7,
+  elastic: 3,
+  elating: 1.3,
+  elation: 2.5,
+  elbowed: 2.1,
+  elderly: 3.6,
+  elected: 3.9,
+  elegant: 3.8,
+  element: 3.8,
+  elevate: 2.9,
+  elevens: 2,
+  elicits: 1.3,
+  elitism: 1.6,
+  elitist: 2.7,
+  elixirs: 2,
+  eloping: 2.9,
+  eluding: 2.4,
+  elusive: 3.1,
+  emailed: 2.4,
+  emanate: 2.4,
+  embargo: 2.7,
+  embarks: 1.6,
+  embassy: 3.9,
+  embrace: 3.9,
+  embroil: 1.3,
+  embryos: 2.7,
+  emerald: 3.4,
+  emerged: 3.2,
+  emerges: 2.8,
+  eminent: 3.2,
+  emitted: 2.2,
+  emoting: 1.6,
+  emotion: 3.9,
+  emotive: 1.8,
+  empathy: 3.1,
+  emperor: 4.1,
+  empires: 2.8,
+  employs: 2.7,
+  empower: 2.5,
+  empress: 3.5,
+  emptied: 3.3,
+  emptier: 2.1,
+  empties: 2.8,
+  emptily: 1.3,
+  emulate: 2.7,
+  enabled: 2.8,
+  enables: 2.8,
+  enacted: 2.8,
+  encased: 2.7,
+  encases: 1.3,
+  enchant: 2.6,
+  enclave: 1.8,
+  enclose: 2.5,
+  encoded: 2.9,
+  encoder: 2.3,
+  encores: 2.1,
+  encrust: 1.3,
+  encrypt: 2.3,
+  endears: 1.8,
+  endemic: 2.1,
+  endings: 3.3,
+  endives: 1.3,
+  endless: 3.8,
+  endorse: 3.2,
+  endowed: 2.8,
+  endured: 3.2,
+  endures: 2.7,
+  enemies: 4.3,
+  enforce: 3.2,
+  engaged: 4.4,
+  engages: 2.6,
+  engines: 4,
+  engrave: 2.5,
+  engross: 1.3,
+  engulfs: 2,
+  enhance: 3.4,
+  enigmas: 1.6,
+  enjoyed: 4.3,
+  enlarge: 2.9,
+  enlists: 2,
+  enliven: 1.3,
+  ennoble: 1.9,
+  enraged: 2.8,
+  enrages: 1.6,
+  enrolls: 1.3,
+  ensigns: 2,
+  enslave: 2.8,
+  ensnare: 2.1,
+  ensuing: 2.3,
+  ensured: 2.5,
+  ensures: 2.4,
+  entails: 2.6,
+  entente: 1.3,
+  entered: 4.2,
+  enticed: 2.2,
+  entices: 1.6,
+  entitle: 2.6,
+  entrant: 1.3,
+  entreat: 2.6,
+  entries: 3.1,
+  entropy: 2.3,
+  entrust: 2.9,
+  entwine: 2.2,
+  envelop: 1.9,
+  envious: 3.1,
+  envying: 2.4,
+  enzymes: 3,
+  epaulet: 1.8,
+  epicure: 1.6,
+  epigram: 1.8,
+  episode: 4.1,
+  epistle: 2,
+  epitaph: 2.7,
+  epithet: 2.1,
+  epitome: 2.6,
+  epochal: 1.8,
+  epoxies: 1.3,
+  epsilon: 2.5,
+  equaled: 2.3,
+  equally: 3.7,
+  equated: 2,
+  equates: 1.3,
+  equator: 2.8,
+  equinox: 2.6,
+  erasers: 2.5,
+  erasing: 2.8,
+  erasure: 1.8,
+  erected: 2.7,
+  erectly: 1.3,
+  ermines: 1.3,
+  eroding: 2.6,
+  erosion: 2.7,
+  erosive: 1.3,
+  erotica: 2.7,
+  errands: 3.6,
+  erratic: 3.2,
+  erratum: 1.3,
+  erudite: 1.8,
+  erupted: 2.7,
+  escaped: 4.3,
+  escapee: 2.3,
+  escapes: 3.4,
+  eschews: 1.6,
+  escorts: 3.1,
+  espouse: 1.6,
+  esquire: 3,
+  essence: 3.8,
+  estates: 3.1,
+  esteems: 1.6,
+  estuary: 2,
+  etching: 2.3,
+  eternal: 4,
+  ethical: 3.4,
+  eunuchs: 2.6,
+  euphony: 1.3,
+  evading: 2.8,
+  evasion: 3.1,
+  evasive: 3.3,
+  evening: 5.1,
+  evicted: 3.1,
+  evident: 3.1,
+  evilest: 1.6,
+  evinced: 1.8,
+  evinces: 1.3,
+  evoking: 1.8,
+  evolved: 3.5,
+  evolves: 2.2,
+  exacted: 2.2,
+  exactly: 5.4,
+  exalted: 2.8,
+  examine: 4,
+  example: 4.5,
+  exceeds: 2.9,
+  excepts: 1.3,
+  excerpt: 2,
+  excised: 2,
+  excited: 4.7,
+  excites: 3.1,
+  exclaim: 2.1,
+  exclude: 3,
+  excreta: 1.3,
+  excrete: 1.6,
+  excused: 3.6,
+  excuses: 3.9,
+  execute: 3.7,
+  exempts: 1.8,
+  exerted: 2.3,
+  exhaled: 1.6,
+  exhales: 3.1,
+  exhaust: 3.3,
+  exhibit: 3.9,
+  exhumed: 2.5,
+  exigent: 2,
+  exiling: 1.3,
+  existed: 3.9,
+  exiting: 3,
+  exotics: 1.6,
+  expands: 2.7,
+  expanse: 2.3,
+  expects: 3.7,
+  expense: 3.9,
+  experts: 3.8,
+  expiate: 1.3,
+  expired: 3.4,
+  expires: 3,
+  explain: 5,
+  explode: 4,
+  exploit: 3.4,
+  explore: 3.8,
+  exports: 2.7,
+  exposed: 4,
+  exposes: 2.5,
+  expound: 2,
+  express: 4.3,
+  expunge: 2,
+  extends: 3,
+  extinct: 3.4,
+  extract: 3.5,
+  extreme: 4,
+  exuding: 1.6,
+  exulted: 1.6,
+  eyeball: 3.3,
+  eyebrow: 3.1,
+  eyelash: 2.9,
+  eyelets: 1.3,
+  eyelids: 3.2,
+  eyesore: 2.5,
+  fabrics: 2.9,
+  facades: 1.8,
+  facials: 2.3,
+  faction: 3.1,
+  factors: 3.3,
+  factory: 4.2,
+  factual: 2.7,
+  faculty: 3.7,
+  faggots: 3.1,
+  failing: 3.7,
+  failure: 4.3,
+  fainted: 3.6,
+  fainter: 2.3,
+  faintly: 2.8,
+  fairest: 2.9,
+  fairies: 3.4,
+  fairway: 2.7,
+  falcons: 2.5,
+  fallacy: 2.6,
+  falling: 4.6,
+  fallout: 3.3,
+  falsely: 3.1,
+  falsify: 2.4,
+  falsity: 2.1,
+  falters: 2.1,
+  famines: 2.1,
+  fanatic: 3.2,
+  fancied: 3,
+  fancier: 2.4,
+  fancies: 3,
+  fanfare: 3,
+  fannies: 2.2,
+  fanning: 2.6,
+  fantasy: 4.2,
+  fanzine: 1.3,
+  faraway: 3.3,
+  farmers: 3.7,
+  farming: 3.2,
+  farther: 3.8,
+  farting: 3.1,
+  fascism: 2.9,
+  fascist: 3.4,
+  fashion: 4.3,
+  fastens: 1.9,
+  fastest: 3.8,
+  fasting: 2.8,
+  fatally: 2.6,
+  fateful: 3,
+  fathead: 2.8,
+  fathers: 4,
+  fathoms: 2.8,
+  fatigue: 3.3,
+  fatness: 2.1,
+  fattens: 1.6,
+  fattest: 2.6,
+  fatties: 2.1,
+  fatuous: 2.1,
+  faucets: 2.5,
+  faulted: 1.3,
+  favored: 3,
+  fawning: 2.4,
+  fearful: 3.3,
+  fearing: 2.9,
+  feasted: 2.2,
+  feather: 3.8,
+  feature: 3.8,
+  febrile: 2.3,
+  federal: 4.4,
+  fedoras: 1.6,
+  feedbag: 2.3,
+  feeders: 2.6,
+  feeding: 4.1,
+  feelers: 2.6,
+  feeling: 5.2,
+  feigned: 2.2,
+  feinted: 1.9,
+  felines: 2.1,
+  felling: 2.5,
+  fellows: 4.1,
+  females: 3.5,
+  femoral: 3,
+  fencing: 3.1,
+  fenders: 2.7,
+  fending: 2.3,
+  ferment: 2.3,
+  ferrets: 2.2,
+  ferried: 2.2,
+  ferries: 2.1,
+  ferrous: 1.6,
+  fertile: 3.2,
+  fervent: 2.5,
+  festers: 1.6,
+  festive: 3.3,
+  festoon: 1.8,
+  fetched: 2.7,
+  fetches: 2,
+  fetlock: 1.9,
+  fetters: 1.6,
+  fetuses: 2.1,
+  feuding: 2.6,
+  fevered: 2.2,
+  fibbers: 1.6,
+  fibbing: 2.1,
+  fibroid: 1.6,
+  fibrous: 2.4,
+  fiction: 3.8,
+  fiddled: 2.3,
+  fiddler: 2.9,
+  fiddles: 2.1,
+  fidgets: 2.1,
+  fidgety: 2.5,
+  fielded: 1.9,
+  fielder: 2.7,
+  fiercer: 2,
+  fiestas: 1.3,
+  fifteen: 4.2,
+  fifties: 2.8,
+  fighter: 4.1,
+  figment: 3,
+  figured: 4.9,
+  figures: 4.3,
+  filbert: 1.6,
+  filched: 1.6,
+  filings: 2.5,
+  fillers: 1.3,
+  fillets: 2,
+  fillies: 2.2,
+  filling: 4,
+  filming: 3.6,
+  filters: 3,
+  finagle: 2.3,
+  finales: 1.8,
+  finally: 5.1,
+  finance: 3.7,
+  finches: 2.4,
+  finders: 2.7,
+  finding: 4.6,
+  finesse: 3.1,
+  fingers: 4.5,
+  finicky: 2.3,
+  finking: 1.8,
+  firearm: 3.2,
+  firebug: 2.4,
+  firefly: 2.7,
+  fireman: 3.5,
+  firemen: 3.3,
+  firmest: 1.6,
+  firming: 1.3,
+  firstly: 3,
+  fishers: 2.2,
+  fishery: 2.3,
+  fishing: 4.4,
+  fishnet: 2.3,
+  fission: 2.5,
+  fissure: 2.6,
+  fistful: 2.8,
+  fitness: 3.2,
+  fitters: 1.6,
+  fittest: 2.9,
+  fitting: 3.7,
+  fixable: 2.6,
+  fixated: 2.8,
+  fixates: 1.3,
+  fixings: 2.4,
+  fixture: 2.8,
+  fizzing: 2.2,
+  fizzled: 2,
+  fizzles: 1.3,
+  flaccid: 2.7,
+  flagged: 3,
+  flagons: 1.9,
+  flailed: 1.9,
+  flakier: 1.3,
+  flaking: 2.3,
+  flaming: 3.4,
+  flanked: 2.5,
+  flannel: 3.1,
+  flapped: 2.1,
+  flapper: 2.3,
+  flaring: 2.5,
+  flashed: 3.1,
+  flasher: 2.5,
+  flashes: 3.4,
+  flatbed: 2.6,
+  flatcar: 2,
+  flatted: 1.3,
+  flatten: 3.1,
+  flatter: 3.6,
+  flattop: 2.4,
+  flaunts: 1.8,
+  flavors: 3.1,
+  flaying: 1.6,
+  flecked: 1.6,
+  fledged: 1.9,
+  fleeced: 2.4,
+  fleeces: 1.3,
+  fleeing: 3.3,
+  fleshed: 1.9,
+  fleshly: 1.3,
+  flexing: 2.5,
+  flicked: 2.2,
+  flicker: 2.8,
+  flights: 3.7,
+  flighty: 2.7,
+  flipped: 3.7,
+  flipper: 2.9,
+  flirted: 3,
+  flitted: 2,
+  floated: 3.1,
+  floater: 3,
+  flocked: 2.2,
+  flogged: 2.7,
+  flooded: 3.4,
+  floored: 2.6,
+  flopped: 2.6,
+  florins: 2.4,
+  florist: 3.4,
+  flossed: 2.2,
+  flosses: 1.6,
+  flotsam: 2.4,
+  flounce: 1.3,
+  flouted: 1.8,
+  flowers: 4.7,
+  flowery: 2.8,
+  flowing: 3.6,
+  flubbed: 1.6,
+  fluffed: 1.6,
+  fluidly: 1.3,
+  flummox: 1.3,
+  flunked: 3.2,
+  flushed: 3.5,
+  flusher: 2.2,
+  flushes: 2.7,
+  fluster: 1.8,
+  flutist: 1.3,
+  flutter: 2.9,
+  flyleaf: 1.8,
+  flyover: 1.9,
+  foaming: 2.7,
+  focused: 3.9,
+  focuses: 2.5,
+  fogging: 2.4,
+  foghorn: 2.4,
+  foibles: 2.1,
+  foiling: 1.6,
+  foisted: 2.1,
+  folders: 2.8,
+  folding: 3.3,
+  foliage: 2.7,
+  follies: 2.9,
+  follows: 3.9,
+  fondant: 2.1,
+  fondest: 2.4,
+  fondled: 2.5,
+  foolery: 1.9,
+  fooling: 4.1,
+  foolish: 4.2,
+  footage: 3.9,
+  footing: 3,
+  footman: 1.9,
+  footmen: 2.3,
+  footsie: 2.6,
+  foppish: 1.8,
+  forbade: 2.6,
+  forbear: 2.2,
+  forbids: 3,
+  forbore: 1.3,
+  forceps: 2.8,
+  forcing: 3.7,
+  forearm: 3,
+  foreign: 4.3,
+  foreleg: 1.8,
+  foreman: 3.7,
+  foremen: 2.1,
+  foresaw: 2.6,
+  foresee: 3,
+  forests: 3.2,
+  forever: 4.9,
+  forfeit: 3.5,
+  forgave: 3.4,
+  forgers: 2.1,
+  forgery: 3.3,
+  forgets: 3.6,
+  forging: 2.9,
+  forgive: 4.9,
+  forgone: 1.3,
+  forking: 2,
+  forlorn: 2.6,
+  formals: 1.6,
+  formats: 2.2,
+  forming: 3.4,
+  formula: 3.9,
+  forsake: 3,
+  forsook: 1.6,
+  forties: 2.7,
+  fortify: 2.4,
+  fortune: 4.5,
+  forward: 4.9,
+  fossils: 2.8,
+  fosters: 2.3,
+  foulest: 2.4,
+  fouling: 2.4,
+  founded: 3.5,
+  founder: 3.3,
+  foundry: 2.6,
+  fourths: 1.6,
+  fowling: 1.8,
+  foxhole: 3,
+  foxiest: 1.8,
+  foxtrot: 3,
+  fractal: 2.2,
+  fragile: 3.7,
+  frailty: 2.5,
+  framers: 1.9,
+  framing: 3.2,
+  frankly: 4.3,
+  frantic: 3.4,
+  frappes: 1.3,
+  fraught: 2.8,
+  fraying: 1.6,
+  frazzle: 2.1,
+  freaked: 4,
+  freckle: 2.8,
+  freebie: 2.9,
+  freedom: 4.5,
+  freeing: 3,
+  freeman: 3.4,
+  freemen: 1.8,
+  freeway: 3.7,
+  freezer: 3.7,
+  freezes: 3.2,
+  freight: 3.6,
+  freshen: 3.4,
+  fresher: 2.8,
+  freshet: 1.3,
+  freshly: 3.1,
+  fretful: 1.6,
+  friable: 2,
+  fridges: 2,
+  friends: 5.5,
+  friezes: 1.3,
+  frigate: 2.5,
+  frights: 1.6,
+  fringed: 1.8,
+  fringes: 2.4,
+  frisked: 2.5,
+  fritter: 2.5,
+  frizzed: 1.3,
+  frogman: 2.1,
+  frogmen: 2.2,
+  frolics: 2.1,
+  frontal: 3.3,
+  fronted: 2.6,
+  frosted: 2.9,
+  frowned: 2.6,
+  fruited: 2.1,
+  fuchsia: 2.7,
+  fuckers: 3.6,
+  fucking: 5.5,
+  fuddled: 2,
+  fudging: 1.6,
+  fueling: 2.6,
+  fulcrum: 2.3,
+  fulfill: 3.6,
+  fullest: 3,
+  fulsome: 1.9,
+  fumbled: 2.7,
+  fumbler: 1.3,
+  fumbles: 2.5,
+  funding: 3.5,
+  funeral: 4.5,
+  funkier: 2.1,
+  funnels: 2.2,
+  funnest: 2.1,
+  funnier: 3.4,
+  funnies: 2.6,
+  funnily: 2.4,
+  furious: 3.8,
+  furling: 1.3,
+  furlong: 2.8,
+  furnace: 3.4,
+  furnish: 3,
+  furrier: 2.4,
+  furrows: 2.1,
+  further: 4.7,
+  furtive: 2.5,
+  fussing: 3,
+  futures: 3.2,
+  futzing: 2,
+  fuzzier: 1.8,
+  gabbing: 2.7,
+  gadding: 2,
+  gadgets: 3.1,
+  gagging: 2.8,
+  gainful: 2.1,
+  gaining: 3.6,
+  gainsay: 1.3,
+  gallant: 3.5,
+  galleon: 2.5,
+  gallery: 3.9,
+  galleys: 2.7,
+  galling: 2.2,
+  gallons: 3.6,
+  gallops: 2.2,
+  gallows: 3.3,
+  gambits: 1.3,
+  gambled: 3.2,
+  gambler: 3.7,
+  gambles: 2.5,
+  gametes: 1.6,
+  ganders: 1.3,
+  ganging: 2.6,
+  ganglia: 2.1,
+  gangway: 3.4,
+  garages: 2.7,
+  garbage: 4.4,
+  garbled: 3,
+  garbles: 1.3,
+  gardens: 3.6,
+  gargled: 1.3,
+  gargles: 2,
+  garland: 3.3,
+  garment: 3.1,
+  garnets: 1.9,
+  garnish: 2.7,
+  garrets: 1.6,
+  garrote: 2.3,
+  garters: 2.9,
+  gaseous: 2.3,
+  gaskets: 2.4,
+  gasping: 3.6,
+  gassing: 2.5,
+  gastric: 2.9,
+  gateway: 3.3,
+  gathers: 2.9,
+  gaucher: 1.3,
+  gauchos: 2.2,
+  gaudier: 1.3,
+  gauging: 2,
+  gavotte: 1.8,
+  gawking: 2.7,
+  gayness: 2.1,
+  gazelle: 3.1,
+  gazette: 3.2,
+  gearbox: 2.2,
+  gearing: 2.7,
+  geekier: 1.6,
+  geezers: 2.4,
+  gelatin: 2.7,
+  gelding: 2.6,
+  gelling: 1.9,
+  genders: 2.2,
+  general: 5.1,
+  generic: 3.2,
+  genesis: 3.3,
+  genetic: 3.9,
+  genital: 2.7,
+  genomes: 1.6,
+  genteel: 2.7,
+  gentile: 2.7,
+  gentled: 1.6,
+  gentler: 2.7,
+  gentles: 2.4,
+  genuine: 3.9,
+  geology: 3,
+  gerbils: 2.5,
+  germane: 2.2,
+  gerunds: 1.3,
+  gestate: 1.8,
+  gesture: 3.9,
+  getaway: 3.6,
+  getting: 5.7,
+  gewgaws: 1.3,
+  geysers: 1.8,
+  ghastly: 3.3,
+  gherkin: 1.9,
+  ghettos: 2.3,
+  ghosted: 1.6,
+  ghostly: 3,
+  gibbers: 1.9,
+  gibbons: 3.4,
+  giblets: 2.4,
+  giddily: 1.8,
+  gigging: 1.6,
+  giggled: 2.3,
+  giggler: 1.9,
+  giggles: 3.5,
+  gigolos: 2.5,
+  gilding: 2.1,
+  gimlets: 2,
+  gimmick: 3,
+  gingham: 2.2,
+  ginning: 1.6,
+  ginseng: 2.6,
+  giraffe: 3.2,
+  girders: 2.1,
+  girding: 1.3,
+  girdles: 2.3,
+  girlish: 2.7,
+  gizzard: 2.7,
+  glacial: 2.1,
+  glacier: 2.9,
+  gladden: 1.6,
+  gladder: 1.3,
+  glamour: 3.5,
+  glanced: 2.8,
+  glances: 2.9,
+  glaring: 2.6,
+  glassed: 1.3,
+  glasses: 4.5,
+  glazier: 1.6,
+  glazing: 2,
+  gleamed: 1.8,
+  gleaned: 1.8,
+  gleeful: 2.1,
+  gliders: 2.5,
+  gliding: 2.8,
+  glimmer: 2.9,
+  glimpse: 3.5,
+  glinted: 1.3,
+  glisten: 2.6,
+  glitter: 3.3,
+  gloated: 1.3,
+  globule: 1.6,
+  glories: 2.7,
+  glorify: 2.6,
+  glossed: 1.8,
+  glottis: 1.3,
+  gloving: 1.6,
+  glowers: 1.3,
+  glowing: 3.5,
+  glucose: 3.2,
+  glutted: 1.3,
+  glutton: 2.8,
+  gnarled: 1.8,
+  gnashed: 1.3,
+  gnashes: 1.3,
+  gnawing: 2.6,
+  goading: 2.1,
+  goalies: 1.8,
+  goatees: 1.6,
+  gobbled: 2.3,
+  gobbler: 2.5,
+  gobbles: 1.9,
+  goblets: 2.2,
+  goblins: 3.1,
+  goddamn: 5.1,
+  goddess: 3.9,
+  godhood: 2.1,
+  godless: 2.9,
+  godlike: 2.6,
+  godsend: 2.9,
+  godsons: 1.3,
+  goggles: 3.3,
+  goiters: 1.6,
+  golfers: 2.7,
+  golfing: 3.2,
+  gollies: 1.6,
+  gondola: 2.9,
+  gonging: 1.3,
+  goobers: 2.7,
+  goodbye: 5.1,
+  goodies: 3.3,
+  goofier: 1.6,
+  goofing: 3.1,
+  googled: 2.7,
+  goosing: 1.6,
+  gophers: 2.8,
+  gorging: 2.1,
+  gorilla: 3.7,
+  gosling: 2.2,
+  gospels: 2.7,
+  gossips: 2.4,
+  gossipy: 1.9,
+  gougers: 1.6,
+  gouging: 2.5,
+  goulash: 2.9,
+  gourmet: 3.3,
+  governs: 2.5,
+  gowning: 1.3,
+  grabbed: 4.1,
+  grabber: 2.4,
+  gracing: 2.3,
+  grackle: 1.6,
+  graders: 3,
+  grading: 2.9,
+  gradual: 2.9,
+  grafted: 2.3,
+  grafter: 1.8,
+  grammar: 3.4,
+  granary: 1.6,
+  grandee: 1.9,
+  grander: 2.6,
+  grandly: 1.6,
+  grandma: 4.7,
+  grandpa: 4.5,
+  granite: 3.2,
+  granola: 2.8,
+  granted: 4.1,
+  granule: 1.6,
+  graphic: 3.4,
+  grapple: 2.4,
+  grasped: 2.6,
+  grassed: 1.6,
+  grasses: 2.4,
+  gratify: 2.2,
+  grating: 2.5,
+  gravely: 3.1,
+  gravest: 2.5,
+  gravity: 3.8,
+  graying: 1.6,
+  grayish: 2,
+  grazing: 3.1,
+  greased: 3.1,
+  greases: 1.3,
+  greater: 4.2,
+  greatly: 3.6,
+  greener: 3,
+  greeted: 3.1,
+  gremlin: 2.3,
+  grenade: 3.7,
+  griddle: 2.5,
+  grieved: 2.8,
+  grieves: 3,
+  griffin: 4.1,
+  grilled: 3.3,
+  grilles: 1.6,
+  grimace: 2.5,
+  grimmer: 1.3,
+  grinder: 3.1,
+  gringos: 3,
+  grinned: 2.4,
+  griping: 2.7,
+  gripped: 2.6,
+  gristle: 2.3,
+  gristly: 1.6,
+  gritted: 1.6,
+  grizzly: 3.3,
+  groaned: 2.4,
+  grocers: 2.1,
+  grocery: 3.7,
+  grommet: 2.1,
+  groomed: 2.8,
+  grooved: 1.8,
+  grooves: 2.6,
+  groping: 2.9,
+  grossed: 2.7,
+  grosser: 2.1,
+  grosses: 2.4,
+  grossly: 2.7,
+  grouchy: 2.9,
+  grounds: 4,
+  grouped: 2.1,
+  grouper: 2.3,
+  groupie: 3.1,
+  grouted: 1.8,
+  growers: 2.4,
+  growing: 4.5,
+  growled: 2.1,
+  grownup: 3.1,
+  growths: 2.1,
+  grudges: 2.8,
+  gruffer: 1.3,
+  grumble: 2.2,
+  grunted: 2.2,
+  guarded: 3.5,
+  guessed: 3.9,
+  guesser: 2.6,
+  guesses: 3.2,
+  guffaws: 2.2,
+  guiding: 3.3,
+  guilder: 2.4,
+  guineas: 3,
+  guitars: 3.1,
+  gullets: 1.8,
+  gullies: 1.8,
+  gulping: 2.2,
+  gumdrop: 2.2,
+  gumming: 2.1,
+  gunboat: 2.8,
+  gunfire: 3.7,
+  gunners: 2.6,
+  gunnery: 2.9,
+  gunning: 3.1,
+  gunshot: 4,
+  gunwale: 1.6,
+  guppies: 2.4,
+  gurgled: 2,
+  gurgles: 2.3,
+  gurneys: 2.2,
+  gushing: 2.8,
+  gusting: 2.5,
+  gutless: 3,
+  gutters: 3.1,
+  gutting: 2.5,
+  guzzled: 2,
+  guzzler: 3.1,
+  guzzles: 1.6,
+  gymnast: 2.8,
+  gypping: 1.8,
+  gypsies: 3.4,
+  habitat: 3.3,
+  hackers: 3.1,
+  hacking: 3.2,
+  hackles: 1.8,
+  hackney: 1.6,
+  hacksaw: 2.7,
+  haddock: 2.3,
+  hafnium: 1.3,
+  haggard: 3,
+  haggled: 1.9,
+  hailing: 3.1,
+  haircut: 3.9,
+  hairdos: 2.1,
+  hairier: 2.3,
+  hairnet: 2.4,
+  hairpin: 2.5,
+  halberd: 2.1,
+  halcyon: 2.4,
+  halfway: 4.1,
+  halibut: 2.7,
+  hallows: 2.4,
+  hallway: 4,
+  halogen: 1.6,
+  halting: 2.1,
+  halyard: 2.4,
+  hamlets: 2.1,
+  hammers: 3.1,
+  hamming: 1.6,
+  hammock: 3.1,
+  hampers: 1.3,
+  hamster: 3.3,
+  handbag: 3.4,
+  handful: 3.8,
+  handgun: 3.1,
+  handier: 1.6,
+  handily: 2,
+  handing: 3.7,
+  handled: 4.1,
+  handler: 3.4,
+  handles: 3.6,
+  handout: 2.9,
+  handset: 2.4,
+  hangars: 2.4,
+  hangdog: 2,
+  hangers: 3,
+  hanging: 4.7,
+  hangman: 3.1,
+  hangmen: 1.6,
+  hangout: 2.9,
+  hankers: 1.6,
+  hankies: 2,
+  hapless: 2.6,
+  happens: 5.1,
+  happier: 4.1,
+  happily: 4,
+  harbors: 2.7,
+  hardens: 2.6,
+  hardest: 3.8,
+  hardier: 1.3,
+  hardily: 1.6,
+  hardtop: 2.5,
+  harelip: 2.2,
+  harlots: 2.4,
+  harmful: 3.1,
+  harming: 2.8,
+  harmony: 3.9,
+  harness: 3.4,
+  harpies: 2.7,
+  harping: 2.8,
+  harpist: 1.6,
+  harpoon: 2.9,
+  harried: 2.1,
+  harrows: 1.6,
+  harsher: 2,
+  harshly: 2.8,
+  harvest: 3.6,
+  hashing: 1.3,
+  hashish: 2.7,
+  hassled: 2.4,
+  hassles: 2.5,
+  hassock: 1.3,
+  hastens: 1.9,
+  hastily: 2.9,
+  hasting: 1.6,
+  hatched: 3.1,
+  hatches: 3,
+  hatchet: 3.3,
+  hateful: 3.3,
+  hatreds: 2.1,
+  haughty: 2.6,
+  haulers: 1.9,
+  hauling: 3.3,
+  haunted: 3.9,
+  hawkers: 2.1,
+  hawking: 2.9,
+  haycock: 1.6,
+  hayloft: 2.4,
+  hayseed: 2.5,
+  haywire: 3.1,
+  hazards: 2.8,
+  headers: 2.2,
+  heading: 4.5,
+  headset: 2.9,
+  headway: 2.8,
+  healers: 2.5,
+  healing: 3.8,
+  healthy: 4.4,
+  heaping: 2.1,
+  hearers: 1.3,
+  hearing: 4.7,
+  hearken: 2.1,
+  hearsay: 3.2,
+  hearses: 1.8,
+  hearths: 1.6,
+  heaters: 2.8,
+  heathen: 3.2,
+  heather: 4,
+  heating: 3.4,
+  heavens: 4.1,
+  heavier: 3.4,
+  heavies: 2.2,
+  heavily: 3.8,
+  heaving: 2.8,
+  heckled: 2,
+  heckler: 2.5,
+  heckles: 1.6,
+  hectare: 1.6,
+  hedging: 2.5,
+  heedful: 1.3,
+  heeding: 1.8,
+  heeling: 1.8,
+  heftier: 1.3,
+  heifers: 2.4,
+  heights: 3.9,
+  heinous: 3.2,
+  heiress: 3.1,
+  heisted: 2.2,
+  helical: 1.6,
+  helices: 1.8,
+  hellion: 1.9,
+  hellish: 2.9,
+  helmets: 3.3,
+  helpers: 2.8,
+  helpful: 4.1,
+  helping: 4.7,
+  hemline: 2.3,
+  hemlock: 2.8,
+  hemming: 2.4,
+  hennaed: 1.3,
+  henpeck: 1.3,
+  hepatic: 2.3,
+  heralds: 1.6,
+  herders: 2,
+  herding: 2.5,
+  heretic: 2.8,
+  hermits: 1.8,
+  hernias: 2.4,
+  heroics: 2.8,
+  heroine: 3.2,
+  heroism: 3,
+  herring: 3.5,
+  herself: 4.7,
+  hexagon: 1.9,
+  hibachi: 2.1,
+  hiccups: 3.1,
+  hickeys: 2.5,
+  hickory: 3.1,
+  hideous: 3.7,
+  hideout: 3.2,
+  highboy: 1.9,
+  highest: 4.1,
+  highway: 4.3,
+  hijacks: 1.8,
+  hillier: 1.3,
+  hilltop: 2.7,
+  himself: 5.1,
+  hinders: 1.6,
+  hinging: 1.6,
+  hinting: 2.9,
+  hippest: 2.2,
+  hippies: 3.1,
+  hirsute: 2,
+  hissing: 3.2,
+  history: 4.9,
+  hitched: 3.3,
+  hitches: 2.2,
+  hitters: 2.7,
+  hitting: 4.4,
+  hoagies: 1.8,
+  hoarded: 1.8,
+  hobbies: 3.3,
+  hobbled: 2.1,
+  hobbles: 1.9,
+  hobnail: 1.9,
+  hobnobs: 1.8,
+  hocking: 2.2,
+  hoedown: 2.5,
+  hogging: 3,
+  hoggish: 1.3,
+  hogwash: 2.8,
+  hoisted: 2.6,
+  holders: 2.9,
+  holding: 4.8,
+  holdout: 2.3,
+  holdups: 2.3,
+  holiday: 4.3,
+  holiest: 2.6,
+  hollers: 2.6,
+  hollies: 1.3,
+  hollows: 2.3,
+  holster: 3.3,
+  homburg: 2,
+  homeboy: 3.4,
+  homered: 1.3,
+  homonym: 1.9,
+  honchos: 2.1,
+  honesty: 3.9,
+  honeyed: 1.3,
+  honking: 3.5,
+  honored: 4,
+  hoodies: 1.6,
+  hoodlum: 3.1,
+  hoofing: 2.1,
+  hookers: 3.6,
+  hooking: 3.4,
+  hookups: 2.1,
+  hooping: 1.3,
+  hooters: 3.4,
+  hooting: 2.8,
+  hopeful: 3.5,
+  hoppers: 2.1,
+  hopping: 3.4,
+  horizon: 3.7,
+  hormone: 3.1,
+  hornets: 2.7,
+  hornier: 2.1,
+  horrify: 2.1,
+  horrors: 3.3,
+  horsing: 2.8,
+  hosanna: 2.8,
+  hosiery: 2,
+  hospice: 2.8,
+  hostage: 4.2,
+  hostels: 2.1,
+  hostess: 3.6,
+  hostile: 4,
+  hosting: 3.3,
+  hostler: 1.3,
+  hotbeds: 1.3,
+  hotcake: 1.6,
+  hothead: 2.9,
+  hotness: 2.2,
+  hotshot: 3.5,
+  hottest: 3.8,
+  hounded: 2.8,
+  housing: 3.6,
+  hovered: 2.5,
+  however: 4.7,
+  howlers: 2.1,
+  howling: 3.6,
+  hubbies: 1.6,
+  hubcaps: 2.7,
+  huddled: 2.9,
+  huffing: 2.6,
+  hugging: 3.5,
+  hulking: 2.2,
+  hulling: 1.3,
+  humanly: 3.1,
+  humbled: 3,
+  humbles: 2.1,
+  humbugs: 1.6,
+  humdrum: 2.6,
+  humerus: 2.4,
+  humidor: 2.2,
+  humming: 3.7,
+  humored: 1.8,
+  humping: 3.3,
+  hunched: 2.4,
+  hunches: 3,
+  hundred: 4.9,
+  hungers: 2.2,
+  hunkers: 1.9,
+  hunters: 3.7,
+  hunting: 4.3,
+  hurdled: 1.8,
+  hurdler: 1.3,
+  hurdles: 2.7,
+  hurlers: 1.3,
+  hurling: 2.7,
+  hurrahs: 1.9,
+  hurried: 3.1,
+  hurries: 2.4,
+  hurtful: 3.1,
+  hurting: 4.3,
+  hurtled: 2.2,
+  hurtles: 1.3,
+  husband: 5.3,
+  hushing: 1.3,
+  huskers: 1.9,
+  huskies: 2.7,
+  hussars: 1.9,
+  hussies: 2.2,
+  hustled: 2.8,
+  hustler: 3.5,
+  hustles: 1.8,
+  hutches: 1.6,
+  hybrids: 3,
+  hydrant: 3,
+  hydrate: 2.7,
+  hygiene: 3.3,
+  hymnals: 2.1,
+  iambics: 1.6,
+  iceberg: 3.3,
+  icecaps: 1.9,
+  icicles: 2.6,
+  ideally: 2.6,
+  idiotic: 3.6,
+  idolize: 2.1,
+  idyllic: 2.7,
+  igneous: 2.5,
+  ignited: 2.8,
+  ignites: 2.4,
+  ignoble: 2.1,
+  ignobly: 1.3,
+  ignored: 3.8,
+  ignores: 2.9,
+  iguanas: 2.5,
+  illegal: 4.4,
+  illicit: 2.8,
+  illness: 3.9,
+  imagery: 3.2,
+  imagine: 4.9,
+  imaging: 3.1,
+  imbibed: 1.8,
+  imbibes: 1.3,
+  imbuing: 1.6,
+  imitate: 3.3,
+  immense: 3.2,
+  immerse: 2.4,
+  immoral: 3.4,
+  immured: 1.3,
+  impacts: 2.5,
+  impairs: 2.1,
+  impalas: 1.3,
+  impaled: 2.9,
+  impales: 1.3,
+  impanel: 1.8,
+  imparts: 1.6,
+  impasse: 2.4,
+  impeach: 2.6,
+  impeded: 2.2,
+  impedes: 2,
+  imperil: 1.9,
+  impetus: 2.1,
+  impinge: 2.1,
+  impious: 1.6,
+  implant: 3.3,
+  implied: 3.3,
+  implies: 3.2,
+  implode: 2.5,
+  implore: 3,
+  imports: 2.9,
+  imposed: 3.1,
+  imposes: 1.8,
+  impound: 3.2,
+  impress: 4,
+  imprint: 3.1,
+  improve: 3.9,
+  impugns: 1.3,
+  impulse: 3.7,
+  imputed: 1.6,
+  imputes: 1.3,
+  inanely: 1.6,
+  inanity: 1.3,
+  inboard: 2.3,
+  inbound: 3.1,
+  incense: 3.3,
+  inching: 2.1,
+  incised: 2.4,
+  incisor: 2.2,
+  incited: 2.2,
+  incites: 1.8,
+  incline: 2.6,
+  include: 4,
+  incomes: 2.3,
+  incubus: 2.2,
+  indexed: 1.6,
+  indexes: 1.9,
+  indices: 1.6,
+  indicts: 1.3,
+  indoors: 3.4,
+  induced: 3.1,
+  induces: 2.5,
+  indulge: 3.5,
+  ineptly: 1.3,
+  inertia: 2.8,
+  inexact: 2.1,
+  infancy: 2.5,
+  infants: 3.1,
+  infects: 2.1,
+  inferno: 3,
+  infests: 1.8,
+  infidel: 3,
+  infield: 2.7,
+  inflame: 2.4,
+  inflate: 2.7,
+  inflect: 1.3,
+  inflict: 3.1,
+  informs: 2.9,
+  infused: 2.4,
+  infuses: 1.3,
+  ingests: 1.6,
+  ingrain: 1.3,
+  ingrate: 2.9,
+  ingress: 1.9,
+  ingrown: 2.5,
+  inhabit: 2.8,
+  inhaled: 2.8,
+  inhaler: 3.1,
+  inhales: 2.8,
+  inherit: 3.6,
+  inhibit: 2.5,
+  inhuman: 3.3,
+  initial: 3.8,
+  injects: 2.2,
+  injured: 4,
+  injures: 1.6,
+  inkblot: 1.6,
+  inkling: 2.8,
+  inkwell: 2.4,
+  inmates: 3.6,
+  innards: 2.6,
+  innings: 3,
+  inquest: 2.9,
+  inquire: 3.2,
+  inquiry: 3.5,
+  inroads: 2.2,
+  insaner: 1.3,
+  inseams: 1.3,
+  insects: 3.5,
+  inserts: 2.5,
+  inshore: 2,
+  insider: 2.8,
+  insides: 3.4,
+  insight: 3.4,
+  insipid: 2.8,
+  insists: 3.6,
+  insofar: 2.4,
+  insoles: 1.8,
+  inspect: 3.4,
+  inspire: 3.6,
+  install: 3.4,
+  instant: 4,
+  instead: 4.9,
+  insteps: 1.3,
+  instill: 2.4,
+  insular: 1.8,
+  insulin: 3.3,
+  insults: 3.5,
+  insured: 3.4,
+  insures: 2.2,
+  intakes: 2,
+  integer: 2.1,
+  intends: 3.3,
+  intense: 4,
+  intents: 2.8,
+  interim: 2.8,
+  interns: 3.3,
+  intoned: 1.8,
+  intrude: 3.4,
+  inuring: 1.3,
+  invaded: 3.4,
+  invader: 2.7,
+  invades: 2.5,
+  invalid: 3.2,
+  invents: 2.9,
+  inverse: 2.4,
+  inverts: 1.6,
+  invests: 2.1,
+  invited: 4.6,
+  invites: 3.3,
+  invoice: 3,
+  invoked: 2.7,
+  invokes: 1.9,
+  involve: 3.8,
+  inwards: 2.1,
+  iodized: 1.6,
+  ionized: 2.2,
+  irately: 1.3,
+  iridium: 2.4,
+  irksome: 2.2,
+  ironies: 2.4,
+  ironing: 3.2,
+  islands: 3.7,
+  isolate: 3.5,
+  isotope: 2.7,
+  issuing: 3,
+  isthmus: 2,
+  italics: 2,
+  itching: 3.4,
+  itemize: 2,
+  iterate: 1.3,
+  ivories: 2.3,
+  jabbing: 2.5,
+  jackals: 2.8,
+  jackass: 3.8,
+  jackdaw: 1.3,
+  jackets: 3.5,
+  jacking: 3,
+  jackpot: 3.6,
+  jaguars: 2.4,
+  jailers: 2.1,
+  jailing: 1.6,
+  jamming: 3.2,
+  jangled: 1.6,
+  jangles: 1.6,
+  janitor: 3.8,
+  jarring: 2.3,
+  jasmine: 3.7,
+  javelin: 2.7,
+  jawbone: 2.6,
+  jaywalk: 2,
+  jazzing: 1.9,
+  jealous: 4.6,
+  jeering: 2.6,
+  jellied: 2,
+  jellies: 2.5,
+  jelling: 1.8,
+  jerking: 3.4,
+  jerkins: 1.3,
+  jerseys: 2.6,
+  jesters: 2.6,
+  jesting: 2.1,
+  jetties: 1.3,
+  jetting: 2,
+  jeweled: 2.5,
+  jeweler: 3,
+  jewelry: 4,
+  jiffies: 1.6,
+  jiggers: 2.3,
+  jigging: 1.3,
+  jiggled: 2,
+  jiggles: 1.9,
+  jigsaws: 1.6,
+  jilting: 1.6,
+  jimmied: 2.3,
+  jimmies: 2.1,
+  jingled: 1.6,
+  jingles: 3,
+  jinxing: 2.1,
+  jitneys: 1.3,
+  jitters: 3.1,
+  jittery: 2.6,
+  jobbers: 1.6,
+  jobless: 2.5,
+  jockeys: 2.9,
+  jocular: 1.3,
+  joggers: 2.2,
+  jogging: 3.4,
+  joggled: 1.3,
+  joining: 4.1,
+  jointed: 1.6,
+  jointly: 2.4,
+  jollier: 1.9,
+  jollies: 2.5,
+  jollity: 1.3,
+  jolting: 1.6,
+  jonquil: 1.6,
+  joshing: 2.5,
+  jostled: 2,
+  jotting: 2.1,
+  journal: 3.9,
+  journey: 4.3,
+  jousted: 1.3,
+  joyless: 2,
+  joyride: 2.9,
+  jubilee: 2.9,
+  judging: 3.9,
+  juggled: 2.1,
+  juggler: 2.7,
+  juggles: 2,
+  jugular: 3.1,
+  juicers: 2,
+  juicier: 1.9,
+  juicing: 2.1,
+  jujitsu: 2.5,
+  jujubes: 2.3,
+  jukebox: 3.4,
+  jumbled: 2.7,
+  jumpers: 2.8,
+  jumping: 4.2,
+  jungles: 2.8,
+  juniors: 2.7,
+  juniper: 2.7,
+  junkers: 1.6,
+  junkets: 2,
+  junkies: 3.3,
+  junking: 1.9,
+  jurists: 1.3,
+  justest: 1.3,
+  justice: 4.6,
+  justify: 3.7,
+  jutting: 2,
+  karaoke: 3.5,
+  katydid: 1.8,
+  keeling: 2.1,
+  keenest: 2.2,
+  keening: 1.3,
+  keepers: 3.1,
+  keeping: 4.7,
+  kennels: 2.5,
+  keratin: 1.6,
+  kernels: 2.1,
+  ketches: 1.3,
+  ketchup: 3.8,
+  kettles: 2.3,
+  keyhole: 3,
+  keynote: 2.8,
+  keyword: 2.7,
+  kibbutz: 2.4,
+  kickers: 2.2,
+  kicking: 4.2,
+  kickoff: 3,
+  kidders: 1.8,
+  kiddies: 3.3,
+  kidding: 5.1,
+  kidnaps: 2.5,
+  kidneys: 3.6,
+  killers: 4.1,
+  killing: 4.9,
+  killjoy: 2.7,
+  kiloton: 1.8,
+  kimonos: 2.2,
+  kindest: 3.1,
+  kindled: 2.2,
+  kindles: 1.6,
+  kindred: 2.9,
+  kinetic: 2.8,
+  kinfolk: 2.5,
+  kingdom: 4.2,
+  kingpin: 3,
+  kinkier: 1.9,
+  kinking: 1.3,
+  kinship: 2.6,
+  kinsman: 2.5,
+  kinsmen: 2.1,
+  kippers: 2.6,
+  kissers: 2.1,
+  kissing: 4.4,
+  kitchen: 4.8,
+  kitschy: 1.8,
+  kittens: 3.2,
+  kitties: 2.7,
+  klutzes: 1.3,
+  knacker: 1.6,
+  knavery: 1.3,
+  knavish: 1.3,
+  kneaded: 1.3,
+  kneader: 1.9,
+  kneecap: 2.8,
+  kneeing: 1.3,
+  knifing: 1.6,
+  knights: 3.9,
+  knitted: 2.8,
+  knitter: 1.6,
+  knocked: 4.4,
+  knocker: 2.5,
+  knotted: 2.6,
+  knowing: 4.7,
+  knuckle: 3.1,
+  kookier: 1.3,
+  kopecks: 2.1,
+  kowtows: 1.3,
+  krypton: 2.8,
+  kumquat: 2.7,
+  labeled: 3.1,
+  labored: 2.7,
+  laborer: 2.7,
+  laciest: 1.3,
+  lackeys: 2.5,
+  lacking: 3.4,
+  laconic: 1.6,
+  lacquer: 2.6,
+  lactate: 2.2,
+  lactose: 2.8,
+  ladders: 2.9,
+  laddies: 2.5,
+  ladling: 2,
+  ladybug: 2.6,
+  laggard: 1.3,
+  lagging: 2.4,
+  lagoons: 2.2,
+  lambent: 1.6,
+  lambkin: 1.6,
+  laments: 1.8,
+  lampoon: 2,
+  lancers: 2.7,
+  lancets: 1.6,
+  lancing: 1.8,
+  landing: 4.2,
+  languid: 2.3,
+  languor: 2.3,
+  lanolin: 1.8,
+  lantern: 3.3,
+  lanyard: 1.9,
+  lapping: 2.6,
+  lapsing: 1.6,
+  laptops: 2.4,
+  lapwing: 1.3,
+  larceny: 3.3,
+  largely: 3.2,
+  largess: 1.8,
+  largest: 3.9,
+  lariats: 1.3,
+  larking: 1.3,
+  lasagna: 3.6,
+  lashing: 2.7,
+  lassies: 1.9,
+  lassoed: 1.9,
+  lasting: 3.4,
+  latched: 2.6,
+  latches: 2.1,
+  latency: 1.6,
+  lateral: 3.2,
+  lathers: 1.3,
+  latrine: 3.5,
+  lattice: 1.9,
+  lauding: 1.3,
+  laughed: 4,
+  launder: 2.8,
+  laundry: 4.3,
+  laurels: 2.4,
+  lawless: 2.6,
+  lawsuit: 3.8,
+  lawyers: 4.3,
+  layaway: 3.2,
+  layered: 2.3,
+  layette: 1.9,
+  layoffs: 2.3,
+  layouts: 2.2,
+  layover: 2.7,
+  laziest: 2.2,
+  leached: 1.6,
+  leaches: 1.9,
+  leaders: 3.9,
+  leading: 4.3,
+  leafing: 1.3,
+  leaflet: 1.6,
+  leagues: 3.3,
+  leakage: 2.7,
+  leaking: 3.6,
+  leanest: 1.8,
+  leaning: 3.6,
+  leaping: 3.2,
+  learned: 4.8,
+  learner: 3.1,
+  leashed: 1.3,
+  leashes: 2.5,
+  leasing: 2.7,
+  leather: 4.1,
+  leavens: 1.3,
+  leaving: 5.2,
+  lechers: 1.6,
+  lechery: 1.9,
+  lectern: 1.9,
+  lecture: 4,
+  ledgers: 2.6,
+  leeched: 1.9,
+  leeches: 3.1,
+  leering: 2.7,
+  leeward: 1.6,
+  lefties: 2.4,
+  leftist: 2.2,
+  legally: 3.9,
+  legatee: 1.3,
+  legatos: 1.6,
+  legends: 3.6,
+  legging: 1.6,
+  legible: 2.3,
+  legibly: 1.3,
+  legions: 2.8,
+  legless: 2.1,
+  legroom: 2,
+  legumes: 1.8,
+  legwork: 2.8,
+  leisure: 3.4,
+  lemming: 2.1,
+  lenders: 1.8,
+  lending: 3.3,
+  lengths: 3.4,
+  lengthy: 2.9,
+  lenient: 3,
+  lentils: 2.3,
+  leopard: 3.7,
+  leotard: 2.6,
+  leprosy: 2.9,
+  leprous: 1.8,
+  lesbian: 4,
+  lesions: 3,
+  lessees: 1.3,
+  lessens: 2,
+  lessons: 4.2,
+  letdown: 2.5,
+  letters: 4.6,
+  letting: 4.6,
+  lettuce: 3.5,
+  leveled: 2.8,
+  leveler: 1.9,
+  levying: 1.6,
+  lexicon: 2.1,
+  liaison: 3.4,
+  libeled: 1.6,
+  liberal: 3.6,
+  liberty: 4.2,
+  libidos: 2.3,
+  library: 4.4,
+  license: 4.5,
+  licking: 3.5,
+  lifting: 3.6,
+  liftoff: 2.8,
+  lighted: 3,
+  lighten: 3.8,
+  lighter: 4,
+  lightly: 3.7,
+  lignite: 1.3,
+  likable: 2.9,
+  likened: 2.2,
+  lilting: 2.1,
+  limeade: 2,
+  limited: 4,
+  limpest: 1.3,
+  limping: 3.1,
+  lineage: 2.9,
+  lineman: 2.3,
+  linemen: 2.2,
+  lineups: 2.3,
+  lingers: 2.6,
+  lingual: 1.9,
+  linings: 2.3,
+  linkage: 2.5,
+  linking: 3.1,
+  linkups: 1.8,
+  linnets: 1.3,
+  linseed: 2.3,
+  lintels: 2,
+  lioness: 2.5,
+  lionize: 1.3,
+  liquefy: 2.3,
+  liqueur: 2.7,
+  liquids: 2.9,
+  liquors: 2.5,
+  lisping: 2.2,
+  lissome: 1.3,
+  listens: 3.7,
+  listing: 3.3,
+  litchis: 1.3,
+  literal: 3.1,
+  lithium: 3.1,
+  litters: 2.1,
+  littler: 2.5,
+  liturgy: 1.3,
+  livable: 2.4,
+  livened: 1.8,
+  livings: 1.8,
+  lizards: 3.1,
+  loaders: 1.9,
+  loading: 3.7,
+  loafers: 3,
+  loafing: 2.7,
+  loaners: 1.3,
+  loaning: 2.6,
+  loathed: 2.6,
+  loathes: 2.3,
+  lobbied: 2.1,
+  lobbies: 2.4,
+  lobbing: 2,
+  lobster: 3.9,
+  locales: 1.8,
+  locally: 3.1,
+  located: 4,
+  locates: 2.1,
+  lockers: 3.2,
+  lockets: 1.6,
+  locking: 3.6,
+  lockjaw: 2.4,
+  lockout: 2.5,
+  lockups: 1.6,
+  locusts: 3,
+  lodgers: 2.1,
+  lodging: 2.9,
+  loftier: 1.8,
+  logbook: 2.5,
+  loggers: 1.8,
+  logging: 3,
+  logical: 3.9,
+  loiters: 1.6,
+  lolling: 2.2,
+  longest: 3.7,
+  longing: 3.5,
+  longish: 1.8,
+  looking: 5.6,
+  lookout: 3.6,
+  looming: 2.7,
+  loonier: 1.3,
+  loonies: 2.7,
+  looping: 2.5,
+  loosely: 2.9,
+  loosens: 2.6,
+  loosest: 1.6,
+  loosing: 2.4,
+  looters: 2.6,
+  looting: 3,
+  lopping: 1.6,
+  lording: 1.8,
+  lorries: 2.1,
+  lotions: 2.6,
+  lottery: 3.8,
+  lotuses: 2.3,
+  loudest: 2.8,
+  lounged: 1.3,
+  lounges: 2.3,
+  lousier: 1.3,
+  louvers: 1.6,
+  lovable: 3.3,
+  lowbrow: 2.1,
+  lowdown: 3,
+  lowered: 3.3,
+  lowland: 2.1,
+  lowness: 1.8,
+  loyally: 2.3,
+  loyalty: 4.1,
+  lozenge: 2.2,
+  lubbers: 1.8,
+  luckier: 3,
+  luckily: 3.8,
+  lucking: 1.8,
+  luggage: 4,
+  lugging: 2.7,
+  lullaby: 3.2,
+  lulling: 2.2,
+  lumbago: 2.3,
+  lumbers: 1.6,
+  lumping: 1.3,
+  lunatic: 3.9,
+  lunched: 1.9,
+  lunches: 3.4,
+  lunging: 1.6,
+  lurched: 1.8,
+  lurches: 1.6,
+  lurking: 3.3,
+  lustful: 2.6,
+  lustily: 1.6,
+  lusting: 2.7,
+  lynched: 2.7,
+  lynches: 1.6,
+  lyrical: 2.7,
+  macabre: 2.6,
+  machete: 3,
+  machine: 4.8,
+  maddens: 1.3,
+  maddest: 2,
+  madness: 3.9,
+  maestro: 3.5,
+  magenta: 2.8,
+  maggots: 3.3,
+  magical: 4,
+  magnate: 2.4,
+  magneto: 3,
+  magnets: 3,
+  magnify: 2.8,
+  magnums: 2.1,
+  magpies: 1.6,
+  mahatma: 2.5,
+  maidens: 2.7,
+  mailbox: 3.6,
+  mailers: 2.2,
+  mailing: 3.1,
+  mailman: 3.5,
+  mailmen: 2.3,
+  maiming: 2.2,
+  majesty: 4.6,
+  majored: 2.9,
+  majorly: 2.4,
+  makeups: 1.6,
+  makings: 3,
+  malaise: 2.2,
+  malaria: 3.2,
+  mallard: 2.6,
+  mallets: 1.8,
+  malting: 1.3,
+  mammals: 3,
+  mammary: 2.2,
+  mammoth: 2.9,
+  manacle: 1.3,
+  managed: 4.2,
+  manager: 4.6,
+  manages: 3.2,
+  manatee: 2.3,
+  mandate: 3.2,
+  mangled: 3,
+  mangles: 2.3,
+  mangoes: 2.6,
+  manhole: 2.9,
+  manhood: 3.5,
+  manhunt: 3.1,
+  maniacs: 3.1,
+  mankind: 3.9,
+  manlier: 1.3,
+  manners: 4.1,
+  manning: 3.6,
+  mannish: 2.4,
+  mansion: 3.8,
+  mantles: 1.6,
+  mantras: 1.9,
+  manuals: 2.8,
+  mapping: 2.9,
+  marabou: 1.3,
+  maracas: 2.1,
+  marauds: 1.3,
+  marbled: 1.8,
+  marbles: 3.5,
+  marched: 3.3,
+  marcher: 1.8,
+  marches: 3.1,
+  margins: 3,
+  marimba: 1.6,
+  marinas: 1.9,
+  mariner: 2.6,
+  marines: 4,
+  marital: 3.3,
+  markers: 3.4,
+  markets: 3.3,
+  marking: 3.2,
+  marlins: 1.9,
+  maroons: 1.8,
+  marquee: 2.7,
+  marquis: 3.5,
+  married: 5.4,
+  marries: 3.5,
+  marring: 1.6,
+  marshal: 4.2,
+  marshes: 2.7,
+  martens: 1.8,
+  martial: 3.8,
+  martini: 3.9,
+  martins: 2.7,
+  martyrs: 3,
+  marvels: 2.3,
+  mascara: 3.1,
+  mascots: 2.1,
+  mashers: 1.8,
+  mashing: 2.4,
+  masking: 2.5,
+  masonic: 2.3,
+  masonry: 2,
+  masques: 1.8,
+  massage: 4,
+  masseur: 2.6,
+  massing: 2.5,
+  massive: 4,
+  masters: 3.9,
+  mastery: 2.8,
+  mastiff: 2.1,
+  mastoid: 2,
+  matador: 2.9,
+  matched: 3.6,
+  matches: 4.1,
+  matrons: 1.6,
+  matters: 4.5,
+  matting: 1.3,
+  mattock: 1.6,
+  matured: 2.7,
+  matures: 2.1,
+  matzoth: 1.3,
+  maudlin: 2.7,
+  mauling: 2.5,
+  mawkish: 1.8,
+  maxilla: 1.9,
+  maximal: 1.6,
+  maximum: 3.9,
+  mayoral: 2.2,
+  maypole: 2.4,
+  mazurka: 2.3,
+  meadows: 3.3,
+  meander: 1.8,
+  meanest: 3.3,
+  meaning: 4.6,
+  measles: 3.3,
+  measure: 4,
+  meatier: 1.6,
+  meddled: 2.5,
+  meddler: 2.5,
+  meddles: 1.3,
+  mediate: 2.4,
+  medical: 4.7,
+  mediums: 2.5,
+  medleys: 1.3,
+  medulla: 2.5,
+  meeting: 5.1,
+  megaton: 2.1,
+  melange: 2,
+  melanin: 1.9,
+  melding: 2.1,
+  mellows: 1.9,
+  melodic: 2.3,
+  melting: 3.5,
+  members: 4.4,
+  memento: 3.1,
+  memoirs: 3,
+  menaced: 1.3,
+  menaces: 2.3,
+  menders: 1.8,
+  mending: 3,
+  menfolk: 2.3,
+  menials: 1.3,
+  menorah: 2.2,
+  menthol: 2.6,
+  mention: 4.8,
+  mentors: 2.3,
+  meowing: 2.5,
+  mercies: 2,
+  mercury: 3.6,
+  mergers: 2.7,
+  merging: 2.7,
+  merinos: 1.3,
+  merited: 2,
+  mermaid: 3.5,
+  merrier: 3.1,
+  merrily: 3.3,
+  meshing: 1.8,
+  message: 5,
+  messiah: 3.4,
+  messier: 2.2,
+  messily: 1.3,
+  messing: 4.1,
+  mestizo: 1.3,
+  meteors: 2.6,
+  metered: 1.8,
+  methane: 3.1,
+  methods: 3.8,
+  mewling: 2,
+  microbe: 2.4,
+  microns: 2.3,
+  middles: 1.3,
+  midgets: 3.4,
+  midland: 2.8,
+  midriff: 2.2,
+  midterm: 3.3,
+  midtown: 3.2,
+  midweek: 2.1,
+  midwife: 2.8,
+  migrant: 2.4,
+  migrate: 2.6,
+  mildest: 1.6,
+  mildews: 1.3,
+  mileage: 3.3,
+  militia: 3.4,
+  milking: 3.1,
+  milkman: 3,
+  milkmen: 1.9,
+  milksop: 1.9,
+  millage: 1.3,
+  millers: 2.4,
+  milling: 2.5,
+  million: 5.1,
+  mimetic: 1.6,
+  mimicry: 1.9,
+  mimosas: 2.5,
+  minaret: 1.6,
+  mincing: 2.4,
+  mindful: 2.7,
+  minding: 3.4,
+  mineral: 3.4,
+  mingled: 2.2,
+  mingles: 2.1,
+  minibus: 2.7,
+  minicam: 1.9,
+  minimal: 3.3,
+  minimum: 3.9,
+  minions: 3.2,
+  minivan: 3.2,
+  minnows: 2.5,
+  minored: 2.1,
+  minster: 2.1,
+  minting: 1.3,
+  minuses: 2.1,
+  minutes: 5.4,
+  minutia: 2,
+  miracle: 4.4,
+  mirages: 2.1,
+  mirrors: 3.7,
+  miscast: 1.8,
+  miscues: 1.3,
+  misdeal: 2,
+  misdeed: 1.3,
+  miserly: 1.8,
+  misfire: 2.6,
+  misfits: 2.8,
+  mishaps: 2.4,
+  mislaid: 2.6,
+  mislead: 2.9,
+  misread: 2.9,
+  misrule: 1.3,
+  missile: 4.1,
+  missing: 4.9,
+  mission: 4.7,
+  missive: 2.1,
+  misstep: 2.3,
+  mistake: 5,
+  misters: 2.4,
+  misting: 1.8,
+  mistook: 3.2,
+  misused: 2.5,
+  misuses: 1.3,
+  mitered: 1.3,
+  mitosis: 2.2,
+  mittens: 3,
+  mixture: 3.4,
+  moaning: 3.7,
+  mobbing: 1.8,
+  mobiles: 2.1,
+  mobster: 2.9,
+  mockers: 1.8,
+  mockery: 3.3,
+  mocking: 3.5,
+  modeled: 2.8,
+  moderns: 1.6,
+  modesty: 3.2,
+  modicum: 2.6,
+  modular: 2.2,
+  modules: 2.4,
+  moisten: 1.9,
+  molding: 2.9,
+  molests: 2.2,
+  mollify: 1.9,
+  mollusk: 2.2,
+  molting: 2.6,
+  moments: 4.3,
+  mommies: 3,
+  monarch: 2.9,
+  moneyed: 1.6,
+  mongers: 1.8,
+  mongrel: 2.9,
+  moniker: 2.5,
+  monitor: 4.1,
+  monkeys: 3.9,
+  monocle: 2.3,
+  monsoon: 2.9,
+  monster: 4.6,
+  montage: 3,
+  monthly: 3.5,
+  mooched: 1.6,
+  moocher: 2.4,
+  mooches: 1.3,
+  moodily: 1.6,
+  mooning: 2.8,
+  moonlit: 2.7,
+  mooring: 2.4,
+  mooting: 1.3,
+  mopping: 2.9,
+  moraine: 1.9,
+  morally: 3.3,
+  morgues: 2.4,
+  morning: 5.6,
+  morocco: 3.4,
+  moronic: 3,
+  morsels: 2.2,
+  mortals: 3.4,
+  mortars: 3.1,
+  mortify: 2.1,
+  mortise: 1.8,
+  mosaics: 2.3,
+  mosques: 2,
+  mothers: 4.1,
+  motions: 3.2,
+  motives: 3.5,
+  motored: 1.3,
+  mottled: 1.6,
+  mottoes: 1.3,
+  mounded: 1.3,
+  mounted: 3.4,
+  mourned: 2.5,
+  mourner: 2.2,
+  mousing: 1.8,
+  moussed: 1.6,
+  mousses: 1.3,
+  mouthed: 2.5,
+  movable: 2.5,
+  mucking: 2.7,
+  muddied: 1.9,
+  muddled: 2.5,
+  muezzin: 1.9,
+  muffins: 3.5,
+  muffled: 3.5,
+  muffler: 3,
+  muffles: 1.9,
+  muggers: 3,
+  mugging: 3,
+  muggles: 2.9,
+  mukluks: 2,
+  mulatto: 2.4,
+  mulched: 1.3,
+  mullahs: 1.3,
+  mullets: 1.6,
+  mulling: 2.5,
+  mumbled: 2.1,
+  mumbler: 1.3,
+  mumbles: 3,
+  mummers: 1.6,
+  mummery: 1.6,
+  mummies: 2.9,
+  mummify: 1.9,
+  munched: 2.2,
+  munches: 1.3,
+  mundane: 2.9,
+  murders: 4.2,
+  murkier: 1.9,
+  murmurs: 2.8,
+  muscled: 2.2,
+  muscles: 3.9,
+  museums: 3.3,
+  mushier: 1.8,
+  mushing: 2.2,
+  musical: 4.1,
+  musings: 2.1,
+  muskets: 2.6,
+  muskrat: 2.7,
+  mussels: 2.8,
+  mussing: 2,
+  mustang: 3.5,
+  mustard: 3.8,
+  musters: 1.3,
+  mutable: 1.8,
+  mutants: 3.3,
+  mutated: 2.8,
+  mutates: 1.9,
+  mutters: 2.8,
+  muumuus: 2,
+  muzzled: 2.1,
+  muzzles: 1.9,
+  myriads: 1.3,
+  mystery: 4.4,
+  mystics: 2.7,
+  mystify: 2.1,
+  nabbing: 1.8,
+  nagging: 3.4,
+  nailing: 3,
+  naively: 1.6,
+  naivety: 1.3,
+  nakedly: 1.9,
+  nannies: 2.9,
+  naphtha: 2.1,
+  napkins: 3.4,
+  nappies: 2.2,
+  napping: 3.1,
+  narrate: 2.4,
+  narrows: 3.1,
+  narwhal: 2.1,
+  nasally: 2.1,
+  nascent: 2,
+  nastier: 2.4,
+  nations: 3.9,
+  natives: 3.6,
+  nattily: 1.3,
+  natural: 4.6,
+  natures: 2.8,
+  naughty: 4,
+  nearest: 3.9,
+  nearing: 3,
+  neatest: 2.5,
+  nebulae: 1.6,
+  necking: 2.7,
+  necktie: 3.1,
+  needful: 1.6,
+  needing: 3.9,
+  needled: 1.9,
+  needles: 3.7,
+  negated: 1.9,
+  negates: 2,
+  neglect: 3.2,
+  neighed: 1.6,
+  neither: 4.8,
+  nemeses: 1.3,
+  nemesis: 2.9,
+  neonate: 2,
+  nephews: 3,
+  nerving: 1.3,
+  nervous: 4.8,
+  nesting: 2.8,
+  nestled: 2.7,
+  netting: 2.5,
+  nettles: 2.1,
+  network: 4.2,
+  neurons: 3,
+  neuters: 2.1,
+  neutral: 3.6,
+  neutron: 3.1,
+  newbies: 2.4,
+  newborn: 3.4,
+  newness: 2.4,
+  newsboy: 2.4,
+  newsman: 2.6,
+  newsmen: 2.5,
+  newtons: 2.6,
+  nibbled: 2.2,
+  nibbler: 2,
+  nibbles: 2.4,
+  nickels: 3.4,
+  nicking: 2,
+  niggard: 1.8,
+  niggers: 3.8,
+  nightie: 2.8,
+  nightly: 3.1,
+  ninepin: 1.3,
+  ninnies: 2.2,
+  nippers: 2,
+  nipping: 2.6,
+  nipples: 3.7,
+  nirvana: 3,
+  nitpick: 2,
+  nitrate: 3,
+  nitwits: 2.4,
+  noblest: 2.7,
+  nodding: 2.9,
+  nodules: 2.1,
+  noggins: 1.3,
+  noisier: 2.1,
+  noisily: 2.2,
+  noising: 1.3,
+  noisome: 1.9,
+  nomadic: 2.5,
+  nominal: 2.9,
+  nominee: 2.9,
+  noncoms: 1.8,
+  nonskid: 1.3,
+  nonstop: 3.2,
+  noodles: 3.8,
+  noonday: 1.6,
+  nosegay: 1.6,
+  noshing: 1.6,
+  nosiest: 1.3,
+  nostril: 2.8,
+  nostrum: 2.2,
+  notable: 2.8,
+  notably: 2.6,
+  notched: 1.8,
+  notches: 2.9,
+  notepad: 2.2,
+  nothing: 5.9,
+  noticed: 4.6,
+  notices: 3.4,
+  notions: 3.2,
+  nougats: 1.8,
+  nourish: 2.6,
+  novella: 1.6,
+  novelty: 3.2,
+  novices: 2.4,
+  nowhere: 4.6,
+  noxious: 2.3,
+  nozzles: 2.4,
+  nuanced: 2.1,
+  nuances: 2.4,
+  nuclear: 4.3,
+  nucleic: 2,
+  nucleus: 2.9,
+  nudging: 2.5,
+  nudists: 2.2,
+  nuggets: 3.1,
+  nullify: 2.5,
+  numbers: 4.6,
+  numbing: 2.7,
+  numeral: 2.2,
+  numeric: 1.3,
+  nunnery: 2.7,
+  nuptial: 2.2,
+  nursery: 3.6,
+  nursing: 3.8,
+  nurture: 2.9,
+  nuttier: 2.3,
+  nuzzled: 1.6,
+  nuzzles: 1.3,
+  oarsman: 1.8,
+  oarsmen: 2.1,
+  oatmeal: 3.5,
+  obelisk: 2,
+  obesity: 2.6,
+  obeying: 2.9,
+  objects: 3.9,
+  obliged: 3.8,
+  obliges: 2.1,
+  oblique: 2.7,
+  obloquy: 1.3,
+  obscene: 3.5,
+  obscure: 3.4,
+  observe: 4,
+  obtains: 2,
+  obtrude: 1.3,
+  obviate: 1.6,
+  obvious: 4.5,
+  ocarina: 1.8,
+  occlude: 1.6,
+  oceanic: 2.8,
+  octagon: 2.3,
+  octaves: 1.9,
+  octopus: 3.3,
+  oculist: 1.9,
+  oddball: 2.8,
+  oddness: 1.8,
+  odorous: 1.3,
+  odyssey: 2.9,
+  offbeat: 2.5,
+  offends: 3,
+  offense: 4.2,
+  offered: 4.4,
+  offhand: 3,
+  officer: 5,
+  offices: 3.8,
+  offload: 1.9,
+  offsets: 1.8,
+  offside: 2.3,
+  oftener: 2.1,
+  oilskin: 1.3,
+  okaying: 1.6,
+  omelets: 2.5,
+  ominous: 3.1,
+  omitted: 2.5,
+  omnibus: 1.9,
+  oneness: 2.6,
+  onerous: 1.6,
+  oneself: 3.3,
+  onetime: 1.9,
+  ongoing: 3.3,
+  onshore: 2.3,
+  opacity: 1.3,
+  openers: 2.9,
+  openest: 1.3,
+  opening: 4.6,
+  operate: 4.1,
+  opiates: 2.6,
+  opining: 1.6,
+  opinion: 4.6,
+  opossum: 1.9,
+  opposed: 3.8,
+  opposes: 2.6,
+  oppress: 2.3,
+  optical: 3,
+  optimal: 2.5,
+  optimum: 2.8,
+  options: 4.1,
+  opulent: 2.1,
+  oracles: 2.6,
+  oranges: 3.4,
+  oration: 1.9,
+  orators: 1.6,
+  oratory: 2.2,
+  orbital: 3.1,
+  orbited: 2.1,
+  orchard: 3.3,
+  orchids: 3.4,
+  ordains: 1.3,
+  ordeals: 1.9,
+  ordered: 4.6,
+  orderly: 3.6,
+  oregano: 2.9,
+  organdy: 2,
+  organic: 3.6,
+  orgasms: 3.2,
+  orifice: 2.8,
+  origami: 2.9,
+  origins: 3.1,
+  orioles: 2.2,
+  orotund: 1.6,
+  orphans: 3.6,
+  osmosis: 2.5,
+  osmotic: 1.8,
+  ospreys: 1.3,
+  ostrich: 3,
+  ottoman: 2.5,
+  ousting: 1.3,
+  outages: 1.8,
+  outback: 3,
+  outbids: 1.3,
+  outcast: 3.1,
+  outcome: 3.6,
+  outdoes: 1.3,
+  outdone: 3,
+  outdoor: 3.3,
+  outfits: 3.6,
+  outgrew: 2.5,
+  outgrow: 2.6,
+  outings: 2.3,
+  outlast: 2.6,
+  outlaws: 3.3,
+  outlays: 1.6,
+  outlets: 2.9,
+  outline: 3.3,
+  outlive: 3,
+  outlook: 3.3,
+  outplay: 1.6,
+  outpost: 3.1,
+  outputs: 1.3,
+  outrage: 3.5,
+  outrank: 2.8,
+  outruns: 1.6,
+  outsell: 1.6,
+  outside: 5.2,
+  outsize: 1.3,
+  outsold: 1.8,
+  outstay: 1.6,
+  outtake: 2.1,
+  outward: 3.1,
+  outwear: 1.3,
+  outworn: 2.1,
+  ovarian: 2.5,
+  ovaries: 2.9,
+  ovation: 2.9,
+  overact: 1.9,
+  overage: 2,
+  overall: 3.5,
+  overate: 1.6,
+  overawe: 1.3,
+  overdid: 2.7,
+  overdue: 3.5,
+  overeat: 2,
+  overlap: 2.8,
+  overlay: 2.8,
+  overpay: 1.6,
+  overran: 2.3,
+  overrun: 3.2,
+  oversaw: 2.2,
+  oversee: 3.1,
+  overtax: 1.6,
+  overtly: 2.4,
+  overuse: 2,
+  ovulate: 2,
+  oxfords: 2.1,
+  oysters: 3.6,
+  pacific: 4,
+  package: 4.4,
+  packers: 2.9,
+  packets: 3,
+  packing: 4.1,
+  paddies: 2.6,
+  padding: 3,
+  paddled: 2.2,
+  paddles: 3.3,
+  paddock: 2.5,
+  padlock: 2.8,
+  pageant: 3.7,
+  pagodas: 1.3,
+  painful: 4.2,
+  paining: 2.1,
+  painted: 4.1,
+  painter: 3.8,
+  pairing: 2.7,
+  paisley: 2.8,
+  pajamas: 3.8,
+  palaces: 2.9,
+  palates: 2.3,
+  palaver: 2.4,
+  palazzo: 2.4,
+  palette: 2.8,
+  pallets: 2.1,
+  palling: 1.8,
+  palming: 1.3,
+  palpate: 1.8,
+  palsied: 1.6,
+  pampers: 2.5,
+  panacea: 1.9,
+  panache: 2.3,
+  pancake: 3.6,
+  panders: 1.6,
+  panicky: 3,
+  panning: 2.5,
+  panoply: 1.3,
+  pansies: 2.8,
+  panther: 3.4,
+  panties: 3.9,
+  panting: 3.6,
+  papayas: 2.4,
+  papered: 2.2,
+  papilla: 1.3,
+  papoose: 2.3,
+  paprika: 2.9,
+  papyrus: 1.9,
+  parable: 2.2,
+  paraded: 2.3,
+  parades: 2.9,
+  paradox: 3.1,
+  paragon: 2.5,
+  parapet: 2.3,
+  parasol: 2.7,
+  parboil: 1.3,
+  parcels: 2.9,
+  parched: 3.1,
+  pardons: 2.8,
+  parents: 5.1,
+  parfait: 2.4,
+  pariahs: 1.8,
+  parking: 4.4,
+  parkway: 3,
+  parlays: 1.9,
+  parlors: 2.7,
+  paroled: 3,
+  parolee: 2.2,
+  paroles: 1.9,
+  parquet: 1.9,
+  parried: 1.6,
+  parries: 1.8,
+  parrots: 2.7,
+  parsecs: 1.3,
+  parsing: 1.6,
+  parsley: 2.9,
+  parsnip: 1.9,
+  parsons: 3.3,
+  partake: 3,
+  partial: 3.7,
+  partied: 2.9,
+  parties: 4.4,
+  parting: 3.4,
+  partner: 4.9,
+  partook: 1.9,
+  partway: 2.1,
+  passage: 3.9,
+  passing: 4.4,
+  passion: 4.3,
+  passive: 3.3,
+  passkey: 2.8,
+  pastels: 2.5,
+  pastern: 1.3,
+  pasties: 2.3,
+  pastime: 2.9,
+  pasting: 2.3,
+  pastors: 1.9,
+  pasture: 3.2,
+  patched: 3.3,
+  patches: 3.2,
+  patella: 2.4,
+  patents: 2.9,
+  pathway: 3.1,
+  patient: 4.8,
+  patriot: 3.4,
+  patrols: 3.3,
+  patrons: 3,
+  patsies: 2.3,
+  pattern: 4.2,
+  patters: 1.8,
+  patties: 2.7,
+  patting: 2.7,
+  paucity: 1.9,
+  paunchy: 1.9,
+  paupers: 2.4,
+  pausing: 2.5,
+  pawning: 2.2,
+  payable: 2.9,
+  paydays: 1.8,
+  payload: 2.8,
+  payment: 4,
+  payoffs: 2.9,
+  payroll: 3.7,
+  peaches: 3.6,
+  peacock: 3.7,
+  peaking: 2.5,
+  pealing: 2.1,
+  peanuts: 3.9,
+  peasant: 3.6,
+  pebbled: 1.3,
+  pebbles: 2.8,
+  peccary: 1.3,
+  pecking: 2.8,
+  pedaled: 2.1,
+  pedants: 1.3,
+  peddled: 1.6,
+  peddler: 2.8,
+  peddles: 2.2,
+  peeking: 3.4,
+  peeling: 3,
+  peepers: 2.7,
+  peeping: 3.4,
+  peering: 2.5,
+  peeving: 1.3,
+  peevish: 2.2,
+  peewees: 1.9,
+  pegging: 1.3,
+  pelican: 3.2,
+  pellets: 2.8,
+  pelting: 2.2,
+  penalty: 4,
+  penance: 3.2,
+  pencils: 3.5,
+  pendant: 3,
+  pendent: 1.6,
+  pending: 3.5,
+  penguin: 3.5,
+  penises: 2.9,
+  pennant: 2.9,
+  pennies: 3.5,
+  penning: 1.6,
+  pension: 3.7,
+  pensive: 2.6,
+  peonies: 2,
+  peopled: 2,
+  peoples: 3.4,
+  peppers: 3.3,
+  peppery: 1.3,
+  peppier: 1.6,
+  percale: 1.8,
+  percent: 4.4,
+  perched: 2.8,
+  perches: 1.9,
+  perfect: 5.2,
+  perfidy: 2,
+  perform: 4.2,
+  perfume: 4.1,
+  perhaps: 5.1,
+  perigee: 1.8,
+  periods: 3.3,
+  perjure: 2.2,
+  perjury: 3.4,
+  perkier: 1.3,
+  perking: 2.2,
+  perming: 1.3,
+  permits: 3.4,
+  permute: 2.1,
+  perplex: 1.6,
+  persist: 3.1,
+  persona: 3.2,
+  persons: 3.9,
+  pertain: 2.4,
+  perturb: 1.6,
+  perusal: 2,
+  perused: 1.9,
+  peruses: 1.3,
+  pervade: 1.3,
+  pervert: 3.8,
+  pesetas: 2.4,
+  peskier: 1.3,
+  pesters: 1.6,
+  petered: 2,
+  petites: 1.8,
+  petrify: 1.6,
+  pettier: 1.3,
+  petting: 3.2,
+  petunia: 3.3,
+  pewters: 1.3,
+  phalanx: 2.1,
+  phallic: 2.5,
+  phallus: 2,
+  phantom: 3.6,
+  pharaoh: 3.3,
+  phasing: 2.3,
+  phobias: 2.5,
+  phoebes: 1.9,
+  phoenix: 4,
+  phonics: 2,
+  phonied: 1.3,
+  phonies: 2.8,
+  phoning: 3.1,
+  photoed: 1.8,
+  photons: 2.5,
+  phrased: 2.5,
+  phrases: 3.4,
+  physics: 4,
+  pianist: 3.2,
+  picante: 1.6,
+  piccolo: 3.1,
+  pickers: 2.5,
+  pickets: 2.3,
+  pickier: 1.3,
+  picking: 4.5,
+  pickled: 3.2,
+  pickles: 3.6,
+  pickups: 2.9,
+  picnics: 2.9,
+  picture: 5.1,
+  piddled: 1.3,
+  piecing: 2.4,
+  pierced: 3.5,
+  pierces: 2.3,
+  pigeons: 3.5,
+  piggies: 2.7,
+  pigging: 2,
+  piglets: 2.2,
+  pigment: 2.5,
+  pigpens: 1.3,
+  pigskin: 2.6,
+  pigtail: 2.2,
+  pilgrim: 3.6,
+  pilings: 2.2,
+  pillage: 2.8,
+  pillars: 3,
+  pillbox: 2.7,
+  pillion: 1.3,
+  pillory: 2,
+  pillows: 3.5,
+  piloted: 2.3,
+  pimento: 1.9,
+  pimping: 3,
+  pimples: 3.1,
+  pinball: 3.2,
+  pincers: 2.1,
+  pinched: 3.4,
+  pinches: 2.5,
+  pinging: 2.3,
+  pinhead: 2.9,
+  pinhole: 2.4,
+  pinkest: 1.3,
+  pinkeye: 1.6,
+  pinkies: 2.4,
+  pinking: 2.3,
+  pinkish: 1.9,
+  pinning: 2.9,
+  pioneer: 3.3,
+  pipping: 1.3,
+  pippins: 1.6,
+  piquant: 2.3,
+  piquing: 1.3,
+  piranha: 3.1,
+  pirated: 2.3,
+  pirates: 3.8,
+  pissing: 3.7,
+  pistils: 1.3,
+  pistols: 3.3,
+  pistons: 3,
+  pitched: 3.3,
+  pitcher: 3.5,
+  pitches: 3,
+  piteous: 2.2,
+  pitfall: 1.3,
+  pitiful: 3.6,
+  pitting: 2.4,
+  pitying: 2.3,
+  pivotal: 2.9,
+  pizzazz: 2.8,
+  placard: 2.1,
+  placate: 2.6,
+  placebo: 2.9,
+  placing: 3.5,
+  plagued: 3.3,
+  plagues: 2.7,
+  plainer: 2,
+  plainly: 3.3,
+  planets: 3.6,
+  planked: 1.3,
+  planned: 4.5,
+  planner: 3.2,
+  planted: 4,
+  planter: 2.8,
+  plaques: 2.2,
+  plaster: 3.4,
+  plastic: 4.3,
+  plateau: 2.8,
+  plating: 2.6,
+  platoon: 3.9,
+  platter: 3.5,
+  playact: 1.3,
+  playboy: 3.6,
+  players: 4.2,
+  playful: 3.1,
+  playing: 5.2,
+  playoff: 2.8,
+  playpen: 2.8,
+  pleaded: 3.1,
+  pleader: 1.3,
+  pleased: 4.5,
+  pleases: 3.5,
+  pleated: 1.9,
+  pledged: 3.2,
+  pledges: 2.9,
+  plenary: 2,
+  pliable: 2.1,
+  plodder: 1.3,
+  plopped: 2.4,
+  plotted: 3,
+  plotter: 1.9,
+  plowing: 2.8,
+  plowman: 1.8,
+  plowmen: 1.6,
+  plucked: 3.1,
+  plugged: 3.3,
+  plumage: 2.2,
+  plumbed: 1.3,
+  plumber: 3.7,
+  plummet: 2.6,
+  plumped: 1.6,
+  plumper: 1.8,
+  plunder: 2.9,
+  plunged: 3,
+  plunger: 3,
+  plunges: 2.4,
+  plunked: 1.6,
+  plywood: 2.7,
+  poached: 3.1,
+  poacher: 2.7,
+  poaches: 1.6,
+  pockets: 4.1,
+  podcast: 1.6,
+  podiums: 1.3,
+  poetess: 2.3,
+  pogroms: 1.9,
+  pointed: 3.9,
+  pointer: 3,
+  poisons: 3.1,
+  polecat: 2.5,
+  polemic: 1.6,
+  policed: 1.9,
+  polices: 3,
+  politic: 2.5,
+  polling: 2.6,
+  pollute: 2.7,
+  polygon: 1.8,
+  polymer: 2.8,
+  pomaded: 1.3,
+  pompoms: 2.5,
+  pompous: 3.4,
+  ponchos: 2.1,
+  ponders: 2.1,
+  pontiff: 1.8,
+  pontoon: 2.4,
+  pooches: 2.1,
+  poodles: 2.9,
+  pooling: 2.7,
+  pooping: 2.2,
+  poorest: 2.8,
+  popcorn: 4,
+  popguns: 1.3,
+  poplars: 1.3,
+  popover: 1.6,
+  poppies: 2.5,
+  popping: 3.7,
+  popular: 4.4,
+  porches: 2.2,
+  porcine: 2,
+  portage: 2.1,
+  portals: 3.1,
+  portend: 1.8,
+  portent: 2.1,
+  porters: 2.9,
+  portico: 2.5,
+  porting: 1.3,
+  portion: 3.6,
+  portray: 2.9,
+  poseurs: 2,
+  posited: 1.6,
+  possess: 3.7,
+  possums: 2.1,
+  postage: 3,
+  posters: 3.5,
+  posting: 3,
+  postman: 3.4,
+  postmen: 2,
+  posture: 3.2,
+  postwar: 2.5,
+  potable: 2.1,
+  potency: 2.7,
+  pothole: 2.7,
+  potions: 3.1,
+  potluck: 2.6,
+  potshot: 2.1,
+  pottage: 1.3,
+  potters: 2.6,
+  pottery: 3.3,
+  potties: 1.8,
+  potting: 2.3,
+  pouched: 1.6,
+  pouches: 2.2,
+  poultry: 3,
+  pounced: 2.2,
+  pounces: 1.9,
+  pounded: 2.9,
+  pouring: 3.8,
+  pouting: 3,
+  poverty: 3.6,
+  powders: 2.6,
+  powdery: 2,
+  powered: 3.1,
+  powwows: 1.3,
+  prairie: 3.4,
+  praised: 3.2,
+  praises: 3,
+  praline: 2.4,
+  pranced: 1.6,
+  prancer: 2.4,
+  prances: 1.3,
+  prating: 1.6,
+  prattle: 2.6,
+  prayers: 4,
+  praying: 4,
+  preachy: 2.2,
+  precede: 2.4,
+  precept: 2.1,
+  precise: 3.7,
+  predate: 1.6,
+  predict: 3.6,
+  preempt: 2.4,
+  preface: 2.7,
+  prefect: 2.9,
+  prefers: 3.4,
+  preheat: 1.9,
+  prelate: 1.3,
+  prelude: 2.8,
+  premier: 3.4,
+  premise: 3.1,
+  premium: 3.2,
+  prenups: 2.1,
+  prepaid: 2.4,
+  prepare: 4.5,
+  prepped: 3.3,
+  prequel: 1.8,
+  presage: 1.6,
+  present: 5,
+  presets: 2.2,
+  preside: 2.5,
+  pressed: 3.8,
+  presses: 3.2,
+  presume: 3.9,
+  preteen: 2.2,
+  pretend: 4.6,
+  pretext: 3.1,
+  pretzel: 3.3,
+  prevail: 3.3,
+  prevent: 4.1,
+  preview: 3.2,
+  preying: 2.7,
+  pricier: 1.6,
+  pricing: 2.4,
+  pricked: 2.3,
+  prickly: 2.8,
+  priests: 3.7,
+  primary: 3.9,
+  primate: 2.8,
+  primers: 1.6,
+  priming: 2.4,
+  primped: 1.6,
+  princes: 3.3,
+  printed: 3.8,
+  printer: 3.3,
+  prisons: 3.3,
+  prithee: 2.3,
+  privacy: 4.2,
+  private: 4.9,
+  privies: 1.9,
+  probate: 2.7,
+  probing: 2.9,
+  probity: 1.8,
+  problem: 5.5,
+  proceed: 4.3,
+  process: 4.4,
+  proctor: 2.7,
+  procure: 2.7,
+  prodded: 2.5,
+  prodigy: 3.1,
+  produce: 4,
+  product: 4.2,
+  profane: 2.7,
+  profess: 2.5,
+  proffer: 1.9,
+  profile: 4.1,
+  profits: 3.7,
+  profuse: 1.6,
+  progeny: 2.5,
+  program: 4.6,
+  project: 4.6,
+  prolong: 3,
+  promise: 5.2,
+  promote: 3.6,
+  prompts: 2.4,
+  pronged: 1.6,
+  pronoun: 2.4,
+  proofed: 2.2,
+  propane: 2.7,
+  propels: 2.3,
+  prophet: 3.7,
+  propose: 4.1,
+  propped: 2.5,
+  prorate: 1.9,
+  prosaic: 2.4,
+  prosper: 3,
+  protean: 1.3,
+  protect: 4.8,
+  protein: 3.7,
+  protest: 3.9,
+  protons: 2.5,
+  prouder: 2.8,
+  proudly: 3.5,
+  proverb: 3,
+  provide: 4.2,
+  proving: 3.7,
+  proviso: 2.3,
+  provoke: 3.4,
+  provost: 2.8,
+  prowess: 2.9,
+  prowled: 1.6,
+  prowler: 2.9,
+  proxies: 2.3,
+  prudent: 3.2,
+  prudery: 1.6,
+  prudish: 1.9,
+  pruning: 2.7,
+  psyched: 3.4,
+  psyches: 2,
+  psychic: 4.1,
+  psychos: 3,
+  puberty: 3.3,
+  publish: 3.7,
+  puckish: 1.3,
+  pudding: 3.8,
+  puddled: 1.3,
+  puddles: 2.9,
+  pueblos: 1.6,
+  puerile: 2.4,
+  puffing: 2.8,
+  pullers: 1.6,
+  pullets: 1.3,
+  pulleys: 2.4,
+  pulling: 4.4,
+  pullout: 2.1,
+  pulping: 1.6,
+  pulpits: 1.3,
+  pulsars: 2.5,
+  pulsate: 1.8,
+  pulsing: 2.7,
+  pumpers: 1.8,
+  pumping: 3.7,
+  pumpkin: 4,
+  punched: 3.7,
+  punches: 3.5,
+  pundits: 2.1,
+  pungent: 2.6,
+  puniest: 1.3,
+  punning: 1.3,
+  punster: 1.3,
+  punters: 2.3,
+  punting: 2.1,
+  puppets: 3.3,
+  puppies: 3.7,
+  purging: 2.7,
+  purists: 1.6,
+  puritan: 2.5,
+  purloin: 1.9,
+  purples: 1.9,
+  purport: 1.9,
+  purpose: 4.5,
+  purring: 2.6,
+  pursing: 2.1,
+  pursued: 3.3,
+  pursuer: 2.2,
+  pursues: 2.2,
+  pursuit: 3.8,
+  purview: 2.5,
+  pushers: 2.8,
+  pushier: 2,
+  pushing: 4.3,
+  pussies: 3.3,
+  pustule: 1.8,
+  putrefy: 1.6,
+  putters: 2,
+  putting: 4.8,
+  puzzled: 3.1,
+  puzzler: 2.2,
+  puzzles: 3.4,
+  pygmies: 2.7,
+  pyramid: 3.6,
+  pythons: 2.4,
+  quacked: 1.8,
+  quaking: 2.4,
+  qualify: 3.6,
+  quality: 4.3,
+  quantum: 3.7,
+  quarrel: 3.7,
+  quarter: 4.4,
+  quartet: 3.2,
+  quasars: 1.8,
+  quashed: 1.6,
+  quavers: 1.3,
+  queenly: 2.1,
+  queered: 2.1,
+  queerer: 1.6,
+  queerly: 2,
+  quelled: 1.6,
+  queried: 1.9,
+  queries: 2.2,
+  queuing: 2.2,
+  quibble: 2.8,
+  quiches: 1.9,
+  quicken: 2.4,
+  quicker: 3.9,
+  quickie: 3,
+  quickly: 4.8,
+  quieted: 2.6,
+  quieter: 3.1,
+  quietly: 4.1,
+  quietus: 1.8,
+  quilted: 1.9,
+  quilter: 1.3,
+  quinces: 1.3,
+  quinine: 2.9,
+  quintet: 2.7,
+  quipped: 1.3,
+  quitter: 3.2,
+  quivers: 2.4,
+  quizzed: 2.1,
+  quizzes: 2.7,
+  quondam: 1.3,
+  quoting: 3.3,
+  rabbits: 3.8,
+  raccoon: 3.2,
+  raceway: 2.2,
+  racists: 2.5,
+  rackets: 3,
+  racking: 2.9,
+  radials: 2.2,
+  radiant: 3.3,
+  radiate: 2.7,
+  radical: 3.6,
+  radioed: 2.9,
+  raffish: 1.3,
+  raffled: 1.8,
+  raffles: 2.6,
+  rafters: 2.8,
+  rafting: 2.4,
+  raggedy: 3.1,
+  ragging: 2.6,
+  ragtags: 1.3,
+  ragtime: 2.8,
+  ragweed: 2.2,
+  raiders: 3.1,
+  raiding: 2.9,
+  railing: 3.2,
+  railway: 3.2,
+  raiment: 2.1,
+  rainbow: 3.9,
+  rainier: 2.8,
+  raining: 4,
+  raising: 4.1,
+  raisins: 3.3,
+  rallied: 2.6,
+  rallies: 2.9,
+  rambled: 1.9,
+  rambler: 2.3,
+  rambles: 1.9,
+  ramming: 2.6,
+  rampage: 3,
+  rampant: 3,
+  rampart: 2.9,
+  ramrods: 1.8,
+  ranched: 1.6,
+  rancher: 3,
+  ranches: 2.7,
+  randier: 1.6,
+  rangers: 3.7,
+  ranging: 2.6,
+  rankest: 1.6,
+  ranking: 3.1,
+  rankled: 1.3,
+  rankles: 1.3,
+  ransack: 2.4,
+  ransoms: 1.6,
+  ranting: 2.9,
+  rapidly: 3.6,
+  rapiers: 2.1,
+  rapists: 3,
+  rappers: 2.9,
+  rapping: 3,
+  rapport: 2.8,
+  rapture: 2.9,
+  rascals: 2.9,
+  rashers: 1.3,
+  raspier: 1.3,
+  rasping: 1.8,
+  ratchet: 2.9,
+  ratings: 3.6,
+  rations: 3.3,
+  ratting: 2.5,
+  rattled: 3.1,
+  rattler: 2.7,
+  rattles: 2.9,
+  rattrap: 2.5,
+  raucous: 2.5,
+  raunchy: 2.5,
+  ravaged: 2.9,
+  ravages: 2.3,
+  raveled: 1.3,
+  ravines: 1.8,
+  ravings: 2.5,
+  ravioli: 2.8,
+  rawhide: 3,
+  rawness: 1.6,
+  razzing: 2.1,
+  reached: 4.4,
+  reaches: 3.7,
+  reacted: 3.2,
+  reactor: 3.6,
+  readers: 3.5,
+  readied: 2.1,
+  readier: 1.3,
+  readies: 1.3,
+  readily: 3,
+  reading: 4.8,
+  readmit: 2.1,
+  readout: 2.8,
+  reagent: 2.4,
+  realest: 2.1,
+  realign: 2.4,
+  realism: 2.8,
+  realist: 2.9,
+  reality: 4.5,
+  realize: 4.9,
+  reamers: 1.3,
+  reaming: 1.3,
+  reapers: 3,
+  reaping: 2.6,
+  reapply: 2.4,
+  rearing: 2.3,
+  rearmed: 1.9,
+  reasons: 4.5,
+  rebates: 1.9,
+  rebirth: 3,
+  rebound: 3.4,
+  rebuffs: 1.3,
+  rebuild: 3.5,
+  rebuilt: 3.2,
+  rebuked: 2.2,
+  recalls: 2.7,
+  receded: 2.2,
+  recedes: 2.1,
+  receipt: 3.9,
+  receive: 4.3,
+  recheck: 2.7,
+  recipes: 3.3,
+  recital: 3.5,
+  recited: 2.5,
+  recites: 2.4,
+  reckons: 2.7,
+  reclaim: 3.1,
+  recline: 2.2,
+  recluse: 2.8,
+  recoils: 2,
+  records: 4.6,
+  recount: 2.9,
+  recover: 3.9,
+  recruit: 3.6,
+  rectify: 2.9,
+  rectory: 2.7,
+  rectums: 1.6,
+  recycle: 2.9,
+  redcoat: 1.9,
+  reddens: 1.3,
+  reddest: 2.2,
+  reddish: 2.3,
+  redeems: 1.3,
+  redhead: 3.6,
+  redneck: 3.2,
+  redness: 2.3,
+  redoing: 2.8,
+  redoubt: 2.2,
+  redraft: 1.8,
+  redrawn: 1.3,
+  redress: 2.3,
+  redskin: 2.4,
+  reduced: 3.7,
+  reduces: 2.6,
+  redwood: 2.9,
+  reefers: 2.1,
+  reeking: 2.7,
+  reelect: 2.1,
+  reeling: 3,
+  reenact: 2.5,
+  reenter: 2.1,
+  reentry: 2.9,
+  reeving: 1.3,
+  referee: 3.6,
+  reffing: 1.6,
+  refiled: 1.3,
+  refiles: 1.3,
+  refills: 2.8,
+  refined: 3.3,
+  refiner: 1.6,
+  reflect: 3.6,
+  refocus: 2.4,
+  reforms: 2.5,
+  refract: 1.6,
+  refrain: 3.3,
+  refresh: 3.4,
+  refugee: 3.3,
+  refunds: 2.6,
+  refusal: 3.1,
+  refused: 4.1,
+  refuses: 3.7,
+  refuted: 2.1,
+  refutes: 2,
+  regains: 2.6,
+  regaled: 2,
+  regalia: 2.1,
+  regally: 1.6,
+  regards: 3.7,
+  regatta: 2.7,
+  regency: 2.8,
+  regents: 2.4,
+  regimen: 2.9,
+  regimes: 2.4,
+  regions: 3.2,
+  regress: 2.5,
+  regrets: 3.8,
+  regroup: 3.1,
+  regular: 4.5,
+  reheats: 1.3,
+  rehired: 2.5,
+  reigned: 2.5,
+  reining: 1.3,
+  reissue: 1.9,
+  rejects: 3.2,
+  rejoice: 3.2,
+  rejoins: 1.3,
+  relabel: 1.3,
+  relapse: 3,
+  related: 4.1,
+  relates: 2.8,
+  relaxed: 3.8,
+  relaxes: 2.9,
+  relayed: 2.7,
+  relearn: 1.6,
+  release: 4.6,
+  relents: 1.6,
+  reliant: 2.1,
+  reliefs: 1.3,
+  relieve: 3.7,
+  relived: 2.1,
+  relives: 1.6,
+  reloads: 1.8,
+  relying: 3.1,
+  remains: 4.2,
+  remakes: 1.8,
+  remarks: 3.6,
+  remarry: 2.9,
+  rematch: 3.2,
+  reminds: 4.3,
+  remnant: 2.4,
+  remodel: 2.9,
+  remorse: 3.5,
+  remotes: 2.5,
+  remount: 1.6,
+  removal: 3.3,
+  removed: 4.2,
+  remover: 2.8,
+  removes: 3,
+  renamed: 2.3,
+  renders: 2.7,
+  rending: 1.9,
+  reneged: 2.3,
+  renewal: 3,
+  renewed: 3.2,
+  rentals: 2.8,
+  renters: 2.3,
+  renting: 3.5,
+  reoccur: 1.8,
+  reopens: 2.1,
+  reorder: 1.9,
+  repaint: 2.7,
+  repairs: 3.5,
+  repeats: 3.2,
+  repents: 2.1,
+  replace: 4.1,
+  replays: 2.1,
+  replete: 2.2,
+  replica: 3,
+  replied: 3.1,
+  replies: 2.7,
+  reports: 4.4,
+  reposed: 1.6,
+  reposes: 1.6,
+  repress: 2.6,
+  reprint: 2.1,
+  reprise: 2.1,
+  reproof: 1.6,
+  reprove: 1.6,
+  reptile: 3.1,
+  repulse: 2.4,
+  reputed: 2.8,
+  request: 4.4,
+  requiem: 2.6,
+  require: 4,
+  requite: 1.8,
+  rereads: 1.3,
+  reroute: 2.9,
+  rescind: 2.7,
+  rescued: 3.7,
+  rescuer: 2.4,
+  rescues: 2.6,
+  resents: 2.7,
+  reserve: 3.9,
+  resided: 2.1,
+  resides: 2.9,
+  residue: 3.4,
+  resigns: 2.1,
+  resists: 2.8,
+  resolve: 3.7,
+  resorts: 2.7,
+  resound: 2.2,
+  respect: 4.9,
+  respite: 2.7,
+  respond: 4.1,
+  restart: 2.8,
+  restate: 2.1,
+  restful: 2.9,
+  resting: 3.8,
+  restock: 2.7,
+  restore: 3.7,
+  results: 4.4,
+  resumed: 2.6,
+  resumes: 3,
+  retails: 1.8,
+  retains: 2.5,
+  retaken: 2,
+  retakes: 1.9,
+  retards: 3,
+  retched: 2,
+  retches: 2.2,
+  rethink: 3.2,
+  retinal: 2.8,
+  retinas: 2.5,
+  retired: 4.1,
+  retiree: 1.8,
+  retires: 2.7,
+  retorts: 1.6,
+  retrace: 2.8,
+  retract: 3.2,
+  retrain: 2,
+  retread: 2,
+  retreat: 4,
+  retrial: 2.6,
+  retried: 1.3,
+  returns: 3.9,
+  retyped: 1.3,
+  reunify: 1.3,
+  reunion: 3.9,
+  reunite: 2.8,
+  reusing: 2,
+  revalue: 1.3,
+  revamps: 1.3,
+  reveals: 3.3,
+  reveled: 1.3,
+  revelry: 2.2,
+  revenge: 4.3,
+  revenue: 3.4,
+  revered: 2.9,
+  reveres: 1.9,
+  reverie: 2.1,
+  reverse: 4,
+  reverts: 2.1,
+  reviews: 3.5,
+  reviled: 2.2,
+  reviles: 1.8,
+  revised: 3.1,
+  revises: 1.3,
+  revisit: 2.9,
+  revival: 3.1,
+  revived: 2.8,
+  revives: 2,
+  revoked: 3.1,
+  revolts: 2,
+  revolve: 2.8,
+  revving: 2.9,
+  rewards: 3.3,
+  rewinds: 1.6,
+  rewired: 2.2,
+  rewound: 1.9,
+  rewrite: 3.4,
+  rewrote: 2.9,
+  rhizome: 2.1,
+  rhodium: 1.6,
+  rhombus: 1.8,
+  rhubarb: 3,
+  rhyming: 2.9,
+  rhythms: 3,
+  ribbing: 2.3,
+  ribbons: 3.5,
+  richest: 3.6,
+  rickets: 2.6,
+  rickety: 2.6,
+  ricotta: 2.4,
+  ridding: 2.5,
+  riddled: 3,
+  riddles: 3.3,
+  ridging: 1.3,
+  riffing: 1.3,
+  rifling: 2.6,
+  rifting: 1.3,
+  rigging: 3,
+  righted: 2.1,
+  righter: 1.9,
+  rightly: 3.2,
+  rigidly: 2.2,
+  rimming: 1.3,
+  ringers: 2.7,
+  ringing: 4.2,
+  rinsing: 1.8,
+  rioters: 2.5,
+  rioting: 2.7,
+  riotous: 2.2,
+  ripened: 2,
+  riposte: 2.1,
+  rippers: 2.5,
+  ripping: 3.6,
+  rippled: 1.9,
+  ripples: 2.9,
+  riskier: 2.2,
+  risking: 3.6,
+  rituals: 3.4,
+  rivaled: 1.8,
+  rivalry: 3,
+  riveted: 2.6,
+  riveter: 1.8,
+  rivulet: 1.6,
+  roaches: 3.3,
+  roadbed: 1.6,
+  roadway: 2.3,
+  roaming: 3.2,
+  roaring: 3.5,
+  roasted: 3.2,
+  roaster: 1.8,
+  robbers: 3.7,
+  robbery: 4.4,
+  robbing: 3.8,
+  robotic: 2.8,
+  rockers: 2.6,
+  rockets: 3.6,
+  rockier: 1.3,
+  rocking: 3.6,
+  rodents: 3,
+  roebuck: 3,
+  rogered: 1.6,
+  roguish: 2.1,
+  roiling: 1.8,
+  roister: 1.3,
+  rollers: 3.2,
+  rollick: 1.6,
+  rolling: 4.3,
+  romaine: 2.3,
+  romance: 4.2,
+  rompers: 1.8,
+  romping: 2.6,
+  roofers: 1.6,
+  roofing: 2.4,
+  rooftop: 3.2,
+  rookery: 1.9,
+  rookies: 3.1,
+  roomers: 2.1,
+  roomful: 2.8,
+  roomier: 2.1,
+  rooming: 2.8,
+  roosted: 1.6,
+  rooster: 3.6,
+  rooting: 3.3,
+  rosebud: 3.1,
+  rosette: 2,
+  rosters: 2.2,
+  rostrum: 1.9,
+  rotated: 2.6,
+  rotates: 2.3,
+  rotting: 3.5,
+  rotunda: 2.7,
+  roughed: 2.8,
+  rougher: 2.9,
+  roughly: 3.5,
+  rounded: 3.2,
+  rounder: 2.5,
+  roundly: 1.6,
+  roundup: 3.1,
+  rousing: 2.7,
+  routine: 4.3,
+  routing: 2.8,
+  rowboat: 3,
+  rowdier: 1.6,
+  rowdies: 2.1,
+  royally: 2.7,
+  royalty: 3.6,
+  rubbers: 3.1,
+  rubbery: 2.2,
+  rubbing: 3.7,
+  rubbish: 3.7,
+  rubdown: 2.8,
+  rubella: 1.3,
+  rudders: 1.8,
+  ruffian: 2.7,
+  ruffled: 2.7,
+  ruffles: 2.7,
+  rugrats: 2.3,
+  ruining: 3.9,
+  ruinous: 2,
+  rulings: 1.9,
+  rumbled: 2.1,
+  rumbles: 2.8,
+  rummage: 2.9,
+  rumored: 3.1,
+  rumpled: 2.1,
+  runaway: 3.6,
+  rundown: 3.2,
+  runners: 3.3,
+  runnier: 1.3,
+  running: 5.2,
+  runways: 2.5,
+  rupture: 3.1,
+  rushing: 3.8,
+  rustics: 1.6,
+  rustier: 1.3,
+  rusting: 2.6,
+  rustled: 2.1,
+  rustler: 2.7,
+  rustles: 1.8,
+  rutting: 2.2,
+  sachets: 1.8,
+  sackful: 2.1,
+  sacking: 2.2,
+  saddens: 2.5,
+  saddest: 3.2,
+  saddled: 3.1,
+  saddles: 2.9,
+  sadists: 2.4,
+  sadness: 3.7,
+  safaris: 2.1,
+  saffron: 2.8,
+  sagging: 2.5,
+  saguaro: 2.1,
+  sailing: 4,
+  sailors: 3.6,
+  saintly: 2.5,
+  salaams: 1.3,
+  salable: 1.3,
+  salamis: 2.2,
+  salient: 2.4,
+  salmons: 1.6,
+  saloons: 2.8,
+  saltier: 2,
+  saltine: 2.3,
+  salting: 2.3,
+  saluted: 2.4,
+  salutes: 2.6,
+  salvage: 3.6,
+  salving: 1.3,
+  samovar: 2.1,
+  sampans: 1.3,
+  sampled: 2.7,
+  sampler: 2.5,
+  samples: 3.9,
+  samurai: 3.5,
+  sanctum: 2.8,
+  sandals: 3.2,
+  sandbag: 2.6,
+  sandbar: 1.8,
+  sandbox: 3,
+  sanders: 3.6,
+  sandier: 1.6,
+  sanding: 2.4,
+  sandlot: 2.3,
+  sandman: 3.4,
+  sandmen: 2.1,
+  sapling: 2.2,
+  sapping: 1.3,
+  sarcasm: 3.5,
+  sarcoma: 2.2,
+  sardine: 3,
+  sarongs: 1.6,
+  sassing: 2.4,
+  satanic: 3.1,
+  satchel: 3.2,
+  satiate: 1.8,
+  satiety: 1.8,
+  satisfy: 3.7,
+  saucers: 3.1,
+  saucier: 2.2,
+  saucily: 1.3,
+  saunter: 2.2,
+  sausage: 3.9,
+  savaged: 2.1,
+  savages: 3.6,
+  savanna: 1.8,
+  savants: 1.3,
+  savings: 3.9,
+  saviors: 2.3,
+  savored: 2,
+  sawdust: 2.8,
+  sawmill: 2.6,
+  sawyers: 1.3,
+  sayings: 2.9,
+  scabbed: 1.3,
+  scabies: 1.3,
+  scalars: 1.3,
+  scalded: 2.6,
+  scalene: 1.3,
+  scalier: 1.3,
+  scaling: 2.3,
+  scallop: 2.2,
+  scalped: 2.9,
+  scalpel: 3.5,
+  scalper: 2.4,
+  scammed: 2.5,
+  scamper: 2.4,
+  scandal: 3.9,
+  scanned: 3.2,
+  scanner: 3.5,
+  scapula: 2.4,
+  scarcer: 1.9,
+  scarier: 3.1,
+  scarify: 1.9,
+  scaring: 3.9,
+  scarlet: 3.5,
+  scarred: 3.1,
+  scarves: 2.8,
+  scatted: 1.3,
+  scatter: 3.4,
+  scenery: 3.6,
+  scented: 3,
+  scepter: 2.9,
+  schemed: 2.3,
+  schemer: 2.2,
+  schemes: 3.2,
+  scherzo: 1.6,
+  schlock: 2.1,
+  schmuck: 3.7,
+  scholar: 3.6,
+  schools: 4.1,
+  sciatic: 2.3,
+  science: 4.6,
+  scissor: 2.5,
+  scoffed: 2.3,
+  scolded: 2.9,
+  sconces: 2,
+  scooped: 2.9,
+  scooted: 2.1,
+  scooter: 3.4,
+  scoping: 2.7,
+  scorers: 1.8,
+  scoring: 3.2,
+  scorned: 2.8,
+  scoured: 2.5,
+  scourge: 3.1,
+  scouted: 2.7,
+  scraped: 3.1,
+  scraper: 2,
+  scrapes: 3,
+  scrappy: 2.8,
+  scratch: 4.3,
+  scrawls: 1.3,
+  scrawny: 3.2,
+  screams: 4.2,
+  screech: 3.8,
+  screens: 3.3,
+  screwed: 4.5,
+  scribes: 2.1,
+  scripts: 3.4,
+  scrolls: 3.4,
+  scrooge: 3.6,
+  scrotum: 2.8,
+  scrubby: 2.1,
+  scruffy: 2.7,
+  scrunch: 2.3,
+  scruple: 2,
+  scuffed: 2.3,
+  scuffle: 2.6,
+  sculled: 1.3,
+  sculpts: 1.8,
+  scumbag: 3.7,
+  scupper: 1.3,
+  scuttle: 2.9,
+  scythes: 1.3,
+  seafood: 3.3,
+  sealant: 2.4,
+  sealers: 1.3,
+  sealing: 3,
+  seamier: 1.3,
+  seaport: 2.2,
+  searing: 2.5,
+  seasick: 3.1,
+  seaside: 2.8,
+  seasons: 3.6,
+  seating: 3.3,
+  seaward: 2.1,
+  seaways: 1.3,
+  seaweed: 3.2,
+  seceded: 1.8,
+  seclude: 1.6,
+  seconds: 4.8,
+  secrecy: 3.5,
+  secrete: 2.3,
+  secrets: 4.4,
+  section: 4.4,
+  sectors: 2.8,
+  secular: 2.7,
+  secured: 3.7,
+  secures: 2.4,
+  sedated: 3.2,
+  seduced: 3.3,
+  seducer: 2.6,
+  seduces: 2.5,
+  seeding: 2.2,
+  seekers: 2.6,
+  seeking: 3.8,
+  seeming: 3,
+  seepage: 2.5,
+  seeping: 2.6,
+  seethed: 1.3,
+  seethes: 1.3,
+  segment: 3.3,
+  seismic: 2.8,
+  seizing: 3,
+  seizure: 3.6,
+  selects: 2.4,
+  selfish: 4.2,
+  sellers: 3.2,
+  selling: 4.6,
+  sellout: 2.8,
+  seltzer: 2.9,
+  seminal: 2.6,
+  seminar: 3.6,
+  senator: 4.5,
+  senders: 1.3,
+  sending: 4.5,
+  seniors: 3.4,
+  sensing: 3.3,
+  sensors: 3.7,
+  sensory: 3,
+  sensual: 3.2,
+  sequels: 1.9,
+  sequins: 2.7,
+  sequoia: 2.1,
+  serapes: 1.8,
+  seraphs: 1.3,
+  serfdom: 1.6,
+  serials: 2.3,
+  serious: 5.2,
+  sermons: 2.8,
+  serpent: 3.3,
+  servant: 4.1,
+  servers: 3.2,
+  service: 4.9,
+  servile: 2.1,
+  serving: 4.1,
+  session: 4.1,
+  setback: 3.2,
+  setters: 1.6,
+  setting: 4.3,
+  settled: 4.3,
+  settler: 1.9,
+  settles: 3.5,
+  seventh: 4,
+  seventy: 3.3,
+  several: 4.6,
+  severed: 3.5,
+  severer: 1.6,
+  sexiest: 3.2,
+  sexists: 1.6,
+  sexless: 2.4,
+  sextant: 2.2,
+  shackle: 2.5,
+  shading: 2.5,
+  shadows: 4.1,
+  shadowy: 3.2,
+  shafted: 2.3,
+  shagged: 2.4,
+  shakers: 2.8,
+  shakeup: 1.8,
+  shakier: 1.6,
+  shakily: 1.3,
+  shaking: 4.1,
+  shallot: 1.6,
+  shallow: 3.8,
+  shamans: 2.2,
+  shamble: 1.6,
+  shaming: 2.4,
+  shampoo: 3.6,
+  shapely: 2.5,
+  shaping: 3,
+  sharing: 4.1,
+  sharpen: 3,
+  sharper: 3.1,
+  sharply: 2.8,
+  shatter: 3.1,
+  shavers: 2.3,
+  shaving: 3.8,
+  sheared: 2.5,
+  shearer: 2.1,
+  sheathe: 2,
+  sheaths: 1.6,
+  sheaves: 1.9,
+  shebang: 2.8,
+  sheered: 1.8,
+  sheikhs: 2,
+  shekels: 2.1,
+  shellac: 2,
+  shelled: 2.9,
+  shelter: 4.1,
+  shelved: 2.1,
+  shelves: 3.4,
+  sherbet: 2.8,
+  sheriff: 4.8,
+  shields: 3.7,
+  shifted: 3.2,
+  shilled: 1.3,
+  shimmer: 2.7,
+  shindig: 3.1,
+  shiners: 2,
+  shingle: 2.9,
+  shinier: 2.1,
+  shining: 4,
+  shipped: 3.6,
+  shipper: 2.1,
+  shirked: 1.6,
+  shirker: 1.8,
+  shivers: 2.8,
+  shivery: 2.1,
+  shocked: 4.1,
+  shocker: 3,
+  shoeing: 2.3,
+  shoguns: 1.6,
+  shooing: 2.1,
+  shooter: 4,
+  shopped: 2.7,
+  shopper: 2.8,
+  shoring: 2.1,
+  shorted: 2.9,
+  shorten: 3,
+  shorter: 3.8,
+  shortly: 4,
+  shotgun: 4,
+  shouted: 3.4,
+  shovels: 3.1,
+  shoving: 3.4,
+  showbiz: 2.7,
+  showers: 3.7,
+  showing: 4.5,
+  showman: 2.5,
+  showmen: 1.6,
+  showoff: 2.6,
+  shrieks: 3,
+  shrilly: 1.8,
+  shrimps: 2.8,
+  shrines: 2.4,
+  shrinks: 3.2,
+  shrived: 1.3,
+  shrivel: 2.6,
+  shrouds: 2.3,
+  shucked: 1.9,
+  shudder: 3,
+  shuffle: 3.5,
+  shunned: 2.7,
+  shunted: 2.2,
+  shushed: 2.2,
+  shushes: 1.3,
+  shuteye: 2.7,
+  shutout: 2.4,
+  shutter: 3.2,
+  shuttle: 3.7,
+  shyness: 2.8,
+  shyster: 2.7,
+  sibling: 3,
+  sickbed: 2,
+  sickens: 2.5,
+  sickest: 2.8,
+  sickles: 1.8,
+  sidearm: 2.7,
+  sidebar: 3,
+  sidecar: 2.8,
+  sidings: 1.3,
+  sidling: 1.3,
+  sierras: 2.5,
+  sifters: 1.8,
+  sifting: 2.8,
+  sighing: 3.3,
+  sighted: 3.3,
+  signals: 4,
+  signers: 2.1,
+  signify: 2.8,
+  signing: 4,
+  silence: 4.4,
+  silents: 1.8,
+  silicon: 3.2,
+  sillier: 2.5,
+  sillies: 1.6,
+  silvers: 1.9,
+  silvery: 2.7,
+  simians: 1.6,
+  similar: 4.1,
+  similes: 2.1,
+  simmers: 1.6,
+  simpers: 1.6,
+  simpler: 3.6,
+  sincere: 3.8,
+  singers: 3.5,
+  singing: 4.7,
+  singled: 2.8,
+  singles: 3.4,
+  sinkers: 1.9,
+  sinking: 3.7,
+  sinners: 3.4,
+  sinning: 2.6,
+  sinuses: 2.9,
+  sipping: 3.1,
+  sirloin: 2.8,
+  sirocco: 2,
+  sissies: 2.8,
+  sisters: 4.4,
+  sitcoms: 2.4,
+  sitters: 2.3,
+  sitting: 5,
+  situate: 2,
+  sixteen: 3.9,
+  sixties: 3,
+  sizable: 2.7,
+  sizzled: 1.8,
+  sizzles: 2.2,
+  skaters: 3.1,
+  skating: 3.7,
+  skeptic: 2.7,
+  sketchy: 3.1,
+  skewers: 2.5,
+  skewing: 1.9,
+  skidded: 2.7,
+  skilled: 3.4,
+  skillet: 3.1,
+  skimmed: 2.6,
+  skimped: 1.3,
+  skinned: 3.1,
+  skipped: 3.7,
+  skipper: 4,
+  skirted: 1.3,
+  skitter: 1.8,
+  skunked: 2.3,
+  skycaps: 1.6,
+  skydive: 2.3,
+  skylark: 2.4,
+  skyline: 2.8,
+  skyward: 2.1,
+  slabbed: 1.3,
+  slacked: 1.3,
+  slacken: 2,
+  slacker: 2.9,
+  slaking: 1.8,
+  slaloms: 1.3,
+  slammed: 3.5,
+  slammer: 3.1,
+  slander: 3.1,
+  slanted: 2.5,
+  slapped: 3.7,
+  slashed: 3.2,
+  slashes: 2.4,
+  slather: 2.1,
+  slating: 1.3,
+  slavers: 3,
+  slavery: 3.6,
+  slaving: 2.8,
+  slavish: 2,
+  slayers: 2.7,
+  slaying: 3,
+  sleeker: 1.8,
+  sleeper: 3.3,
+  sleeves: 3.5,
+  sleighs: 1.6,
+  slender: 2.9,
+  sleuths: 1.6,
+  slicing: 3,
+  slicked: 2.1,
+  slicker: 2.9,
+  sliders: 2.9,
+  sliding: 3.6,
+  slimier: 1.6,
+  slimmed: 2.1,
+  slimmer: 2.3,
+  slipped: 4.2,
+  slipper: 3.3,
+  slither: 2.3,
+  slivers: 2.3,
+  slobber: 2.6,
+  slogans: 2.8,
+  slogged: 1.6,
+  sloping: 2.5,
+  slopped: 2.1,
+  sloshed: 2,
+  sloshes: 1.6,
+  slotted: 2,
+  slouchy: 1.3,
+  slowest: 2.7,
+  slowing: 3.5,
+  slugged: 3.1,
+  slugger: 3,
+  sluiced: 1.3,
+  sluices: 1.3,
+  slumber: 3.4,
+  slumped: 2.7,
+  slurped: 1.3,
+  slurred: 2.4,
+  smacked: 3.2,
+  smacker: 1.6,
+  smaller: 4.1,
+  smarten: 2.8,
+  smarter: 4,
+  smartly: 2.2,
+  smashed: 3.8,
+  smashes: 2.9,
+  smeared: 3.1,
+  smelled: 3.9,
+  smelter: 1.9,
+  smidgen: 2.6,
+  smiling: 4.2,
+  smirked: 1.3,
+  smiting: 1.9,
+  smitten: 3.1,
+  smokers: 3.1,
+  smokier: 1.3,
+  smoking: 4.4,
+  smooths: 1.3,
+  smother: 3.1,
+  smudged: 2.7,
+  smudges: 2.7,
+  smugger: 1.3,
+  smuggle: 3.3,
+  snacked: 1.8,
+  snaffle: 1.3,
+  snagged: 3,
+  snaking: 2.1,
+  snapped: 3.7,
+  snapper: 2.8,
+  snaring: 1.6,
+  snarled: 2.1,
+  sneaked: 3.2,
+  sneaker: 2.8,
+  sneered: 2.3,
+  sneezed: 3.1,
+  sneezes: 2.9,
+  snicker: 2.5,
+  sniffed: 2.9,
+  sniffle: 2.4,
+  snifter: 2.5,
+  snipers: 3.3,
+  sniping: 2.4,
+  snipped: 2.1,
+  snippet: 2,
+  snooker: 2.4,
+  snooped: 2.1,
+  snooper: 1.8,
+  snorers: 1.3,
+  snoring: 3.5,
+  snorkel: 2.8,
+  snorted: 2.5,
+  snowing: 3.5,
+  snowman: 3.3,
+  snowmen: 1.9,
+  snubbed: 2.5,
+  snuffed: 2.7,
+  snugged: 1.3,
+  snugger: 1.3,
+  snuggle: 3.1,
+  soaking: 3.4,
+  soapbox: 2.7,
+  soaping: 2.2,
+  soaring: 3,
+  sobbing: 3.7,
+  sobered: 2.6,
+  soberly: 2.2,
+  socials: 1.8,
+  society: 4.5,
+  sockets: 2.9,
+  socking: 2.1,
+  sodding: 2.7,
+  softens: 2.2,
+  softest: 2.6,
+  softies: 2,
+  soggier: 1.3,
+  soiling: 2.4,
+  sojourn: 2.4,
+  solders: 1.8,
+  soldier: 4.6,
+  solicit: 2.8,
+  solider: 2.2,
+  solidly: 2.4,
+  soloing: 1.6,
+  soloist: 2.3,
+  soluble: 2.2,
+  solvent: 2.7,
+  solvers: 1.6,
+  solving: 3.3,
+  someday: 4.5,
+  somehow: 4.7,
+  someone: 5.6,
+  someway: 1.9,
+  sonatas: 1.9,
+  sonnets: 2.7,
+  soonest: 2.3,
+  soothed: 2,
+  soothes: 2.7,
+  sopping: 2.3,
+  soprano: 3.4,
+  sorbets: 1.6,
+  sorcery: 2.8,
+  sorghum: 2.2,
+  sorrier: 2.7,
+  sorrows: 3.2,
+  sortied: 1.6,
+  sorties: 2.2,
+  sorting: 3.2,
+  soulful: 2.6,
+  sounded: 4.3,
+  sounder: 2.1,
+  soundly: 2.8,
+  sourced: 1.8,
+  sources: 3.9,
+  sourest: 1.3,
+  souring: 1.6,
+  soviets: 3.2,
+  soybean: 2.7,
+  spacial: 1.6,
+  spacier: 1.3,
+  spacing: 2.7,
+  spading: 1.3,
+  spandex: 2.9,
+  spangle: 1.9,
+  spaniel: 2.9,
+  spanked: 3.2,
+  spanned: 2,
+  spanner: 2.2,
+  sparest: 1.3,
+  sparing: 2.7,
+  sparked: 2.8,
+  sparkle: 3.2,
+  sparred: 1.6,
+  sparrow: 3.4,
+  sparser: 1.3,
+  spartan: 3.2,
+  spastic: 2.8,
+  spatial: 2.8,
+  spatted: 1.3,
+  spatter: 3.1,
+  spatula: 3,
+  spawned: 2.7,
+  spaying: 1.8,
+  speaker: 3.8,
+  speared: 2,
+  special: 5.2,
+  species: 4.1,
+  specify: 3,
+  specter: 2.5,
+  spectra: 2.3,
+  speeder: 2.2,
+  speedup: 1.3,
+  spelled: 3.5,
+  speller: 2.5,
+  spender: 3.1,
+  spewing: 2.6,
+  spheres: 2.7,
+  spicier: 1.9,
+  spicing: 2.2,
+  spiders: 3.6,
+  spidery: 1.9,
+  spigots: 1.6,
+  spikier: 1.3,
+  spiking: 2.7,
+  spilled: 3.8,
+  spinach: 3.4,
+  spinals: 1.3,
+  spindle: 2.6,
+  spindly: 2.5,
+  spinner: 2.9,
+  spirals: 2.1,
+  spirits: 4.2,
+  spiting: 1.3,
+  spittle: 2.4,
+  splashy: 2.2,
+  splayed: 1.6,
+  spleens: 1.6,
+  spliced: 2.5,
+  splicer: 1.3,
+  splices: 1.9,
+  splines: 1.6,
+  splints: 2.4,
+  splotch: 1.9,
+  splurge: 2.6,
+  spoiled: 3.9,
+  spoiler: 2.3,
+  sponged: 2.3,
+  sponger: 1.9,
+  sponges: 3.1,
+  sponsor: 3.7,
+  spoofed: 1.3,
+  spooked: 3.3,
+  spooled: 1.3,
+  spooned: 2.2,
+  sporran: 1.6,
+  sported: 1.3,
+  spotted: 4,
+  spotter: 3,
+  spouses: 2.8,
+  spouted: 1.8,
+  sprains: 2.2,
+  sprawls: 1.3,
+  sprayed: 3.2,
+  sprayer: 2.1,
+  spreads: 3.4,
+  springs: 3.9,
+  springy: 2,
+  sprints: 2.6,
+  sprites: 1.8,
+  sprouts: 3.2,
+  spruced: 2.3,
+  spumoni: 2.1,
+  spurned: 2.3,
+  spurred: 2.5,
+  spurted: 1.3,
+  sputter: 2.1,
+  spyware: 1.9,
+  squalid: 2.5,
+  squalls: 1.8,
+  squalor: 2.5,
+  squared: 3.4,
+  squares: 3.4,
+  squashy: 1.6,
+  squawks: 2.8,
+  squeaks: 3,
+  squeaky: 3.3,
+  squeals: 3.1,
+  squeeze: 4.2,
+  squelch: 2.4,
+  squints: 1.9,
+  squired: 1.8,
+  squires: 2.2,
+  squirms: 1.6,
+  squirmy: 1.8,
+  squirts: 2.8,
+  squishy: 2.9,
+  stabbed: 4,
+  stabled: 1.9,
+  stabler: 1.3,
+  stables: 3.5,
+  stacked: 3.3,
+  stadium: 3.8,
+  staffed: 2.2,
+  staffer: 2.4,
+  stagger: 2.8,
+  staging: 3.3,
+  stained: 3.1,
+  staking: 2.9,
+  stalked: 3.2,
+  stalker: 3.6,
+  stalled: 3.2,
+  stamens: 1.3,
+  stamina: 3.2,
+  stammer: 2.4,
+  stamped: 3.2,
+  stances: 2,
+  standby: 3.5,
+  stanzas: 1.9,
+  stapled: 2.7,
+  stapler: 2.9,
+  staples: 2.8,
+  starchy: 2.3,
+  stardom: 2.8,
+  staring: 4.4,
+  starker: 1.6,
+  starkly: 1.3,
+  starlet: 2.8,
+  starlit: 2.1,
+  starred: 2.8,
+  started: 5.3,
+  starter: 3.4,
+  startle: 3.1,
+  startup: 2.4,
+  starved: 3.7,
+  starves: 2.1,
+  stashed: 3.4,
+  stashes: 2,
+  stately: 2.7,
+  stating: 3.3,
+  station: 4.9,
+  statues: 3.3,
+  stature: 3.2,
+  statute: 3.3,
+  staunch: 2.5,
+  staving: 1.8,
+  staying: 4.8,
+  stealth: 3.4,
+  steamed: 3.3,
+  steamer: 3,
+  steeled: 1.9,
+  steeped: 2.5,
+  steeper: 2.1,
+  steeple: 2.6,
+  steered: 2.8,
+  stellar: 2.9,
+  stemmed: 1.8,
+  stencil: 2.2,
+  stepped: 4.1,
+  steppes: 1.8,
+  stepson: 2.7,
+  stereos: 2.5,
+  sterile: 3.3,
+  sterner: 1.9,
+  sternly: 1.9,
+  sternum: 2.9,
+  steroid: 2.6,
+  steward: 3.4,
+  stewing: 2.5,
+  sticker: 3.4,
+  stickup: 3.1,
+  stiffed: 3,
+  stiffen: 2.3,
+  stiffer: 2.3,
+  stiffly: 1.6,
+  stifled: 2.6,
+  stifles: 2.4,
+  stilled: 2,
+  stiller: 2.6,
+  stilted: 2.2,
+  stimuli: 2.9,
+  stinger: 2.9,
+  stinker: 3.3,
+  stipend: 2.6,
+  stipple: 1.3,
+  stirred: 3.4,
+  stirrer: 1.9,
+  stirrup: 2.4,
+  stocked: 3.1,
+  stoical: 1.8,
+  stokers: 1.9,
+  stoking: 2,
+  stomach: 4.5,
+  stomped: 3,
+  stoners: 2.4,
+  stonier: 1.8,
+  stoning: 1.9,
+  stooges: 3,
+  stooped: 2.3,
+  stopgap: 1.9,
+  stopped: 4.9,
+  stopper: 2.7,
+  storage: 3.9,
+  storied: 1.9,
+  stories: 4.6,
+  storing: 2.9,
+  stormed: 3.1,
+  stoutly: 1.6,
+  stowing: 1.6,
+  strafed: 2,
+  strafes: 1.6,
+  strains: 3.1,
+  straits: 3,
+  strands: 2.7,
+  strange: 4.9,
+  stratum: 1.6,
+  strayed: 3,
+  streaks: 3,
+  streaky: 2.1,
+  streams: 3.2,
+  streets: 4.5,
+  stretch: 4.2,
+  strewed: 1.6,
+  strides: 2.9,
+  striker: 3.3,
+  strikes: 4,
+  strings: 3.9,
+  stringy: 2.6,
+  striped: 3.2,
+  stripes: 3.8,
+  striven: 1.9,
+  strives: 2.3,
+  strobes: 2.2,
+  stroked: 2.4,
+  strokes: 3.4,
+  strolls: 2.5,
+  strudel: 3,
+  stubbed: 2.5,
+  stubble: 2.5,
+  stubbly: 1.6,
+  studded: 2.2,
+  student: 4.6,
+  studied: 4.1,
+  studies: 4,
+  studios: 3.4,
+  stuffed: 3.9,
+  stumble: 3.3,
+  stumped: 3.1,
+  stunned: 3.6,
+  stunted: 2.5,
+  stupefy: 1.9,
+  stupids: 1.8,
+  stutter: 3.3,
+  styling: 2.9,
+  stylish: 3.3,
+  stylist: 2.9,
+  stylize: 1.3,
+  stymied: 2.4,
+  stymies: 1.3,
+  suavity: 1.3,
+  subbing: 2.4,
+  subdued: 2.8,
+  subhead: 1.3,
+  subject: 4.6,
+  sublets: 1.6,
+  sublime: 3.2,
+  submits: 2.1,
+  subplot: 2.1,
+  subside: 2.6,
+  subsidy: 2,
+  subsist: 1.8,
+  subsoil: 1.8,
+  subtler: 2.2,
+  suburbs: 3.4,
+  subvert: 2.5,
+  subways: 2.8,
+  succeed: 4,
+  success: 4.4,
+  succumb: 2.6,
+  suckers: 3.7,
+  sucking: 3.9,
+  suckled: 2,
+  suckles: 1.9,
+  sucrose: 1.3,
+  suction: 3.8,
+  suffers: 3.5,
+  suffice: 3.2,
+  sugared: 2.2,
+  suggest: 4.6,
+  suicide: 4.5,
+  suiting: 2.1,
+  suitors: 2.9,
+  sulfate: 2.6,
+  sulfide: 2.2,
+  sulking: 3.1,
+  sullied: 2.5,
+  sullies: 1.8,
+  sultana: 2.2,
+  sultans: 1.9,
+  summary: 3.2,
+  summers: 3.4,
+  summery: 2.1,
+  summing: 1.9,
+  summits: 2,
+  summons: 3.2,
+  sunbeam: 2.5,
+  sunburn: 2.8,
+  sundaes: 2.7,
+  sundial: 2.7,
+  sundown: 3.5,
+  sunfish: 2.2,
+  sunlamp: 2.1,
+  sunless: 2.1,
+  sunnier: 1.9,
+  sunning: 2.1,
+  sunrise: 3.8,
+  sunroof: 2.6,
+  sunsets: 3,
+  sunspot: 2.4,
+  suntans: 1.9,
+  suppers: 2.4,
+  supping: 1.9,
+  support: 4.7,
+  suppose: 5.1,
+  supreme: 3.9,
+  surface: 4.3,
+  surfeit: 1.9,
+  surfers: 3.1,
+  surfing: 3.7,
+  surgeon: 4.2,
+  surgery: 4.5,
+  surging: 2.5,
+  surlier: 1.3,
+  surmise: 2.5,
+  surname: 3,
+  surpass: 2.5,
+  surplus: 3.3,
+  surreal: 3,
+  surreys: 1.3,
+  surveys: 2.7,
+  survive: 4.5,
+  suspect: 4.6,
+  suspend: 3.4,
+  sustain: 3.4,
+  sutured: 2.1,
+  sutures: 3.2,
+  swabbed: 2.6,
+  swaddle: 1.9,
+  swagger: 2.4,
+  swallow: 4.1,
+  swamped: 3.2,
+  swanked: 1.3,
+  swapped: 2.8,
+  swarmed: 2.5,
+  swarthy: 2.6,
+  swashes: 1.3,
+  swathed: 1.9,
+  swatted: 2.4,
+  swatter: 2.3,
+  swaying: 2.9,
+  swearer: 1.3,
+  sweater: 4.1,
+  sweeper: 2.8,
+  sweeten: 2.9,
+  sweeter: 3.4,
+  sweetie: 4.7,
+  sweetly: 3,
+  swelled: 2.9,
+  sweller: 1.3,
+  swelter: 1.6,
+  swerved: 2.7,
+  swerves: 1.9,
+  swifter: 1.8,
+  swiftly: 3.2,
+  swimmer: 3.6,
+  swindle: 2.8,
+  swinger: 2.9,
+  swinish: 2.1,
+  swiping: 2.6,
+  swirled: 2,
+  swished: 1.6,
+  swisher: 1.8,
+  swishes: 2.1,
+  swivels: 1.8,
+  swollen: 3.5,
+  swooned: 2.3,
+  swooped: 2.7,
+  symbols: 3.4,
+  symptom: 3.3,
+  synapse: 2.9,
+  synergy: 2.8,
+  synonym: 2.2,
+  syringe: 3.3,
+  systems: 4.2,
+  tabbies: 1.6,
+  tableau: 2.2,
+  tablets: 3.1,
+  tabling: 1.9,
+  tabloid: 3,
+  tacitly: 1.8,
+  tacking: 1.6,
+  tackled: 2.9,
+  tackler: 1.6,
+  tackles: 2.5,
+  tactful: 2.8,
+  tactics: 3.7,
+  tactile: 2.5,
+  tadpole: 2.8,
+  taffeta: 2.6,
+  taffies: 1.3,
+  tagging: 3,
+  tailing: 3.2,
+  tailors: 2.5,
+  tainted: 3.3,
+  takeoff: 3.4,
+  takeout: 3.2,
+  takings: 2.2,
+  talents: 3.7,
+  talkers: 2.3,
+  talking: 5.7,
+  tallest: 3,
+  tallied: 2.2,
+  tallies: 2,
+  tallyho: 2.6,
+  tamales: 2.4,
+  tampers: 1.9,
+  tamping: 1.6,
+  tampons: 2.9,
+  tanager: 2,
+  tangelo: 1.6,
+  tangent: 2.6,
+  tangier: 2.3,
+  tangled: 3.4,
+  tangles: 2.1,
+  tangoed: 1.6,
+  tankard: 1.9,
+  tankers: 2.7,
+  tankful: 2.1,
+  tanking: 2,
+  tanners: 1.3,
+  tannery: 2.3,
+  tanning: 3.1,
+  tantrum: 2.9,
+  tapered: 2.3,
+  tapioca: 2.8,
+  tapping: 3.5,
+  taproom: 1.3,
+  tardily: 1.6,
+  targets: 3.8,
+  tariffs: 2.2,
+  tarnish: 2.6,
+  tarried: 1.6,
+  tarring: 2.1,
+  tartans: 1.3,
+  tartars: 2.9,
+  tasking: 2.2,
+  tassels: 2.7,
+  tastier: 2,
+  tasting: 3.3,
+  tatters: 2,
+  tatting: 1.8,
+  tattled: 1.9,
+  tattler: 2.7,
+  tattoos: 3.6,
+  taunted: 2.4,
+  taverns: 2.3,
+  taxable: 1.9,
+  taxicab: 2.9,
+  taxiing: 1.3,
+  teacher: 4.7,
+  teaches: 3.7,
+  teacups: 2.3,
+  teaming: 2.6,
+  teapots: 2,
+  tearful: 2.6,
+  teargas: 1.3,
+  tearing: 3.8,
+  tearoom: 2.1,
+  teasers: 1.9,
+  teasing: 3.6,
+  teatime: 2.7,
+  tedious: 3.2,
+  teeming: 2.8,
+  teenage: 3.8,
+  telexed: 1.3,
+  tellers: 2.8,
+  telling: 5.3,
+  temblor: 1.6,
+  tempera: 1.6,
+  tempers: 2.9,
+  tempest: 2.8,
+  temping: 2.4,
+  temples: 3.2,
+  tempted: 3.6,
+  tempter: 1.3,
+  tempura: 2.4,
+  tenable: 1.8,
+  tenancy: 1.6,
+  tenants: 3.4,
+  tenders: 2.3,
+  tending: 3,
+  tendons: 2.5,
+  tendril: 1.6,
+  tenfold: 2.7,
+  tenpins: 1.3,
+  tensely: 1.3,
+  tensest: 1.3,
+  tensile: 2.1,
+  tensing: 1.8,
+  tension: 3.9,
+  tenting: 2,
+  tenuous: 2.5,
+  tenured: 2.5,
+  tequila: 3.8,
+  terming: 1.6,
+  termite: 2.9,
+  terrace: 3.5,
+  terrain: 3.4,
+  terrier: 3,
+  terrify: 2.7,
+  terrors: 3.1,
+  tersely: 1.3,
+  tersest: 1.3,
+  testers: 2.1,
+  testify: 4.2,
+  testing: 4.2,
+  tetanus: 3.1,
+  tethers: 2,
+  textile: 2.7,
+  texting: 2.5,
+  texture: 3.2,
+  thanked: 3.6,
+  thawing: 2.4,
+  theater: 4.4,
+  theorem: 2.5,
+  therapy: 4.3,
+  thereby: 3.2,
+  therein: 3,
+  thereof: 3,
+  thereon: 1.3,
+  thereto: 2.6,
+  thermal: 3.3,
+  thermos: 3,
+  thicken: 2,
+  thicker: 3.3,
+  thicket: 2.7,
+  thickly: 1.9,
+  thieves: 4,
+  thimble: 2.4,
+  thinker: 3.1,
+  thinned: 2.3,
+  thinner: 3.4,
+  thirdly: 2.5,
+  thirsts: 1.6,
+  thirsty: 4.1,
+  thistle: 2.7,
+  thither: 2.5,
+  thorium: 2.3,
+  thought: 5.9,
+  thralls: 2.2,
+  threads: 3.2,
+  threats: 3.8,
+  thrifts: 1.3,
+  thrifty: 2.5,
+  thrills: 3.2,
+  thrived: 2.2,
+  thrives: 2.7,
+  throats: 3.6,
+  throaty: 2.2,
+  thrones: 2.7,
+  throngs: 2,
+  through: 5.7,
+  thrower: 2.7,
+  thrusts: 2.4,
+  thruway: 1.9,
+  thumbed: 2.2,
+  thumped: 2.1,
+  thunder: 4.1,
+  thwacks: 1.3,
+  thyroid: 2.7,
+  thyself: 2.9,
+  tickers: 1.3,
+  tickets: 4.6,
+  ticking: 3.6,
+  tickled: 3.3,
+  tickles: 3.3,
+  tidbits: 2.6,
+  tidiest: 1.3,
+  tidings: 3,
+  tidying: 2.6,
+  tighten: 3.5,
+  tighter: 3.6,
+  tightly: 3.2,
+  tigress: 2.4,
+  tilling: 2.1,
+  tilting: 2.8,
+  timbers: 2.8,
+  timidly: 1.6,
+  timings: 2,
+  timpani: 2,
+  tinfoil: 2.7,
+  tingled: 1.9,
+  tingles: 2.6,
+  tiniest: 3.1,
+  tinkers: 1.3,
+  tinkled: 1.6,
+  tinkles: 3,
+  tinting: 2,
+  tippers: 2.3,
+  tipping: 3.2,
+  tippler: 1.3,
+  tipster: 2.8,
+  tiptoed: 2.1,
+  tiptoes: 2.3,
+  tirades: 1.8,
+  tireder: 1.8,
+  tissues: 3.3,
+  titanic: 3.4,
+  tithing: 1.6,
+  titmice: 1.6,
+  titters: 1.6,
+  tittles: 1.3,
+  titular: 2.3,
+  toadies: 1.8,
+  toasted: 3.1,
+  toaster: 3.6,
+  tobacco: 3.8,
+  toddies: 2.4,
+  toddler: 2.9,
+  toddles: 1.3,
+  toehold: 2.1,
+  toenail: 2.9,
+  toffees: 1.3,
+  toggles: 2.1,
+  toilets: 3.5,
+  toiling: 2.3,
+  tolling: 2.9,
+  tomboys: 1.3,
+  tomcats: 2.2,
+  tongued: 1.3,
+  tongues: 3.5,
+  toniest: 1.3,
+  tonight: 5.6,
+  tonnage: 2.4,
+  tonsils: 3.2,
+  tonsure: 1.6,
+  toolbox: 3.1,
+  tooling: 2.6,
+  toolkit: 2.1,
+  tooting: 2.6,
+  topcoat: 2.4,
+  topical: 2.7,
+  topknot: 2.2,
+  topless: 3.3,
+  topmost: 1.8,
+  topping: 2.9,
+  toppled: 2.4,
+  topples: 1.8,
+  topsail: 2.1,
+  topside: 3.1,
+  topsoil: 2.3,
+  torched: 2.9,
+  torches: 3.1,
+  torment: 3.4,
+  tornado: 3.4,
+  torpedo: 3.8,
+  torqued: 1.9,
+  torrent: 2.6,
+  torsion: 1.8,
+  torture: 4.2,
+  tossing: 3.4,
+  totaled: 3.1,
+  totally: 4.9,
+  totemic: 1.3,
+  toucans: 1.3,
+  touched: 4.5,
+  touches: 3.8,
+  toughen: 2.8,
+  tougher: 3.7,
+  toughly: 1.3,
+  toupees: 1.6,
+  touring: 3.2,
+  tourism: 2.8,
+  tourist: 3.7,
+  tourney: 2.1,
+  tousled: 2,
+  touting: 2.1,
+  towards: 4.4,
+  towered: 2,
+  towhead: 1.3,
+  towpath: 1.3,
+  toxemia: 1.8,
+  tracers: 2.4,
+  tracery: 1.3,
+  trachea: 2.8,
+  tracing: 3.2,
+  tracked: 3.7,
+  tracker: 3.2,
+  tractor: 3.6,
+  traders: 2.8,
+  trading: 3.8,
+  traffic: 4.5,
+  tragedy: 4.2,
+  trailed: 2.7,
+  trailer: 4.1,
+  trained: 4.3,
+  trainee: 3.1,
+  trainer: 3.7,
+  traipse: 2.4,
+  traitor: 4,
+  trammel: 2.3,
+  tramped: 1.9,
+  trample: 2.9,
+  trances: 2.2,
+  transit: 3.5,
+  transom: 2.1,
+  trapeze: 3.1,
+  trapped: 4.3,
+  trapper: 3.2,
+  trashed: 3.4,
+  trashes: 1.8,
+  traumas: 2.9,
+  travail: 1.9,
+  travels: 3.8,
+  trawler: 2.7,
+  treacle: 2.2,
+  treason: 3.7,
+  treated: 4.4,
+  trebled: 2.1,
+  treeing: 1.6,
+  treetop: 2.4,
+  trekked: 1.6,
+  trellis: 2.4,
+  tremble: 3.3,
+  tremolo: 1.6,
+  tremors: 2.6,
+  tresses: 1.8,
+  trestle: 2.2,
+  trialed: 1.6,
+  tribune: 3.3,
+  tribute: 3.7,
+  triceps: 2.4,
+  tricked: 3.7,
+  trickle: 2.5,
+  trident: 2.7,
+  trifled: 2.4,
+  trifles: 2.7,
+  trigger: 4.2,
+  trilogy: 2.8,
+  trimmed: 3,
+  trimmer: 2.5,
+  trinity: 3.5,
+  trinket: 2.8,
+  tripled: 2.9,
+  triples: 2.6,
+  triplet: 1.6,
+  tripods: 1.8,
+  tripped: 3.6,
+  triumph: 3.7,
+  trivets: 1.3,
+  trivial: 3.3,
+  trodden: 1.9,
+  troikas: 1.3,
+  trolled: 1.8,
+  trolley: 3.1,
+  trollop: 2.5,
+  tromped: 1.6,
+  trooped: 1.6,
+  trooper: 3.6,
+  tropics: 2.9,
+  trotted: 2.2,
+  trotter: 2.6,
+  trouble: 5.3,
+  troughs: 1.8,
+  trounce: 1.8,
+  trouper: 2.8,
+  troupes: 1.6,
+  trouser: 2.6,
+  trowels: 1.3,
+  truancy: 2.5,
+  truants: 1.3,
+  trucked: 1.9,
+  trucker: 3.1,
+  truckle: 1.3,
+  trudged: 1.3,
+  truffle: 2.7,
+  trumped: 2.5,
+  trumpet: 3.6,
+  trundle: 2.4,
+  trussed: 2.4,
+  trusses: 2.2,
+  trusted: 4.2,
+  trustee: 2.9,
+  tryouts: 3.1,
+  tsunami: 2.7,
+  tubular: 2.4,
+  tuckers: 2.1,
+  tucking: 2.8,
+  tugboat: 2.7,
+  tugging: 2.6,
+  tuition: 3.6,
+  tumbled: 2.4,
+  tumbler: 2.5,
+  tumbles: 2.2,
+  tumbrel: 1.3,
+  tummies: 2.3,
+  tunnels: 3.6,
+  turbans: 2.1,
+  turbine: 3,
+  tureens: 1.3,
+  turkeys: 3.1,
+  turmoil: 3.1,
+  turners: 2.2,
+  turning: 4.6,
+  turnips: 2.9,
+  turnkey: 2,
+  turnoff: 2.8,
+  turnout: 3.2,
+  turrets: 2.6,
+  turtles: 3.5,
+  tussled: 2.1,
+  tussles: 1.3,
+  tutored: 2.5,
+  tuxedos: 2.8,
+  twaddle: 2.1,
+  tweaked: 2.9,
+  tweeter: 2.6,
+  twelfth: 3,
+  twelves: 2.4,
+  twiddle: 2.5,
+  twigged: 1.6,
+  twinged: 1.3,
+  twinkle: 3.5,
+  twirled: 2.2,
+  twirler: 2.1,
+  twisted: 4,
+  twister: 3.2,
+  twitted: 1.3,
+  twitter: 2.2,
+  twofold: 2.2,
+  twosome: 2.7,
+  tycoons: 2.3,
+  typeset: 1.3,
+  typhoid: 2.7,
+  typhoon: 3.2,
+  typical: 4.1,
+  typists: 1.6,
+  tyranny: 3.2,
+  tyrants: 2.7,
+  ugliest: 3.2,
+  ukulele: 2.8,
+  umbrage: 2.4,
+  umlauts: 1.9,
+  umpires: 1.8,
+  umpteen: 1.9,
+  unaided: 1.9,
+  unarmed: 3.6,
+  unasked: 1.6,
+  unaware: 3.4,
+  unblock: 2.2,
+  unbosom: 1.3,
+  unbound: 2.4,
+  uncanny: 3.2,
+  uncivil: 1.8,
+  unclasp: 1.8,
+  unclean: 3.1,
+  unclear: 3.2,
+  uncouth: 2.8,
+  uncover: 3.3,
+  unction: 2.2,
+  undated: 1.3,
+  undergo: 2.9,
+  undoing: 2.8,
+  undress: 3.4,
+  undying: 2.9,
+  unearth: 2.5,
+  uneaten: 2.2,
+  unequal: 2.3,
+  unfolds: 2.7,
+  unfunny: 2.4,
+  unfurls: 1.8,
+  ungodly: 2.8,
+  unguent: 2,
+  unhappy: 4.2,
+  unheard: 3.2,
+  unhinge: 1.3,
+  unhitch: 2.1,
+  unhooks: 1.6,
+  unhorse: 1.9,
+  unicorn: 3.4,
+  unified: 3.1,
+  unifies: 1.6,
+  uniform: 4.4,
+  unities: 1.3,
+  uniting: 2.5,
+  unkempt: 2.4,
+  unknown: 4.2,
+  unlatch: 1.8,
+  unlearn: 1.9,
+  unleash: 3.2,
+  unloads: 2.2,
+  unlocks: 2.5,
+  unloose: 1.3,
+  unloved: 2.5,
+  unlucky: 3.6,
+  unmanly: 2.1,
+  unmasks: 1.6,
+  unnamed: 2.7,
+  unnerve: 2.2,
+  unpaved: 1.8,
+  unplugs: 1.8,
+  unquote: 2.9,
+  unravel: 3,
+  unrolls: 1.6,
+  unsafer: 1.3,
+  unscrew: 2.7,
+  unsnaps: 1.3,
+  unsnarl: 1.3,
+  unsound: 2.7,
+  unstuck: 2.3,
+  untamed: 2.8,
+  untried: 2.4,
+  untruth: 2,
+  untwist: 1.6,
+  untying: 2.2,
+  unusual: 4.4,
+  unveils: 2,
+  unwinds: 2.1,
+  unwound: 1.6,
+  unwraps: 1.9,
+  upchuck: 2.8,
+  updated: 3.1,
+  updates: 3.1,
+  updraft: 2.2,
+  upended: 1.8,
+  upfront: 3,
+  upgrade: 3.3,
+  upholds: 1.8,
+  uplands: 2,
+  upright: 3.5,
+  uproots: 1.3,
+  upscale: 2.7,
+  upshots: 1.3,
+  upsides: 1.6,
+  upstage: 2.6,
+  upstart: 2.6,
+  upstate: 3.4,
+  upsurge: 1.6,
+  upswing: 2.2,
+  uptight: 3.6,
+  upwards: 3,
+  uranium: 3.3,
+  urchins: 2.3,
+  urethra: 2.4,
+  urgency: 3.2,
+  urinals: 2.3,
+  urinary: 2.6,
+  urinate: 3,
+  urology: 2.4,
+  useless: 4.3,
+  ushered: 2,
+  usually: 4.8,
+  usurers: 1.3,
+  usurped: 2.1,
+  usurper: 2.1,
+  utensil: 2.4,
+  uterine: 2.5,
+  utility: 3.3,
+  utilize: 2.9,
+  uttered: 2.9,
+  utterly: 3.7,
+  vacancy: 2.9,
+  vacated: 2.5,
+  vaccine: 3.3,
+  vacuous: 2.5,
+  vacuums: 2.4,
+  vaginal: 3.1,
+  vagrant: 2.8,
+  vaguely: 3.4,
+  vaguest: 2.4,
+  vainest: 1.6,
+  valance: 3,
+  valeted: 1.3,
+  valiant: 3.4,
+  valises: 1.8,
+  valleys: 3,
+  valuing: 1.6,
+  vamoose: 2.8,
+  vamping: 1.8,
+  vampire: 4.2,
+  vandals: 3,
+  vanilla: 3.6,
+  vantage: 2.9,
+  variant: 2.2,
+  variety: 3.8,
+  various: 4,
+  varlets: 2,
+  varmint: 2.9,
+  varnish: 2.6,
+  varsity: 3.2,
+  varying: 2.8,
+  vassals: 1.6,
+  vastest: 1.3,
+  vaulted: 2.2,
+  vaulter: 1.3,
+  vaunted: 2.1,
+  vectors: 2.8,
+  veering: 2.2,
+  veggies: 2.7,
+  vehicle: 4.4,
+  veiling: 1.3,
+  velvety: 2.2,
+  vending: 3.3,
+  vendors: 2.8,
+  veneers: 2.1,
+  venison: 2.8,
+  venting: 3,
+  ventral: 2.2,
+  venture: 3.7,
+  veranda: 2.9,
+  verbals: 1.6,
+  verbena: 1.6,
+  verbose: 2.1,
+  verdant: 2.2,
+  verdict: 4,
+  verging: 2.2,
+  veriest: 1.3,
+  version: 4.2,
+  vertigo: 2.9,
+  vesicle: 1.6,
+  vespers: 2.5,
+  vessels: 3.5,
+  vestige: 2.5,
+  vesting: 2.1,
+  veteran: 3.6,
+  vetoing: 1.3,
+  vetting: 1.8,
+  viaduct: 2.3,
+  vibrant: 3,
+  vibrate: 3,
+  vibrato: 2.4,
+  viceroy: 2.6,
+  vicious: 3.9,
+  victims: 4.4,
+  victors: 2.2,
+  victory: 4.3,
+  viewers: 3.4,
+  viewing: 3.3,
+  village: 4.5,
+  villain: 3.6,
+  vinegar: 3.2,
+  vintage: 3.5,
+  violate: 3.4,
+  violent: 4.2,
+  violets: 3,
+  violins: 3,
+  virgins: 3.5,
+  virtual: 3.4,
+  virtues: 3.2,
+  viruses: 3.1,
+  viscera: 2.1,
+  viscous: 2.4,
+  visible: 3.7,
+  visibly: 2.2,
+  visions: 3.9,
+  visited: 3.8,
+  visitor: 3.9,
+  visuals: 2.8,
+  vitally: 2.6,
+  vitamin: 3.4,
+  vitiate: 1.6,
+  vitriol: 2.2,
+  vividly: 2.7,
+  vocally: 1.8,
+  voicing: 2.3,
+  volcano: 3.5,
+  volleys: 2.2,
+  voltage: 3.2,
+  voltaic: 1.3,
+  voluble: 1.8,
+  volumes: 3,
+  vomited: 3,
+  vouched: 2.7,
+  voucher: 3,
+  vouches: 1.9,
+  voyager: 3.1,
+  voyages: 2.5,
+  voyeurs: 2,
+  vulture: 3.2,
+  wackier: 1.6,
+  wadding: 2.1,
+  waddled: 1.3,
+  waddles: 1.9,
+  waffles: 3.4,
+  wafting: 2.2,
+  wagered: 2.5,
+  wagging: 2.7,
+  waggish: 1.3,
+  waggled: 1.6,
+  waggles: 1.8,
+  wagoner: 2.2,
+  wailing: 3.5,
+  waiters: 3.3,
+  waiting: 5.3,
+  waivers: 2.5,
+  waiving: 2.3,
+  wakeful: 2.1,
+  wakened: 2.4,
+  walkers: 2.7,
+  walking: 4.9,
+  walkout: 3.3,
+  walkway: 2.6,
+  wallaby: 2.7,
+  wallets: 3.2,
+  walleye: 2.1,
+  walling: 2.7,
+  wallops: 2,
+  wallows: 1.3,
+  walnuts: 3.1,
+  waltzed: 2.6,
+  waltzes: 2.6,
+  wanders: 2.9,
+  wangled: 1.6,
+  wannabe: 3.1,
+  wanting: 4.4,
+  warbler: 1.9,
+  wardens: 2.8,
+  warders: 2,
+  warding: 2.1,
+  warfare: 3.5,
+  warhead: 3.5,
+  warlike: 2.4,
+  warlock: 3.6,
+  warlord: 2.9,
+  warmers: 2.1,
+  warmest: 2.9,
+  warming: 3.6,
+  warning: 4.5,
+  warpath: 2.9,
+  warping: 1.8,
+  warrant: 4.3,
+  warrens: 2.5,
+  warring: 2.5,
+  warrior: 4,
+  warship: 3,
+  warthog: 2.5,
+  wartime: 3.1,
+  washers: 2.5,
+  washing: 4,
+  washout: 2.9,
+  washtub: 2,
+  waspish: 1.8,
+  wassail: 1.6,
+  wastage: 1.3,
+  wasters: 1.9,
+  wasting: 4.3,
+  wastrel: 1.6,
+  watched: 4.4,
+  watcher: 3,
+  watches: 3.9,
+  watered: 3,
+  wattage: 2.2,
+  wattles: 1.8,
+  wavered: 2.2,
+  waxwing: 1.3,
+  waxwork: 1.6,
+  waylaid: 2.4,
+  wayside: 2.4,
+  wayward: 2.9,
+  weakens: 2.6,
+  weakest: 3.1,
+  wealthy: 3.9,
+  weaning: 2.1,
+  weapons: 4.6,
+  wearied: 2.1,
+  wearies: 1.9,
+  wearily: 1.8,
+  wearing: 4.9,
+  weasels: 3,
+  weather: 4.5,
+  weavers: 2.1,
+  weaving: 2.9,
+  webbing: 1.9,
+  webcast: 2,
+  website: 3.6,
+  wedding: 5,
+  wedging: 1.8,
+  wedlock: 3,
+  weeding: 2.5,
+  weekday: 2.6,
+  weekend: 4.8,
+  weepers: 1.6,
+  weeping: 3.5,
+  weevils: 2.5,
+  weighed: 3.5,
+  weights: 3.4,
+  weighty: 2.4,
+  weirder: 3.2,
+  weirdly: 2.5,
+  weirdos: 3,
+  welcome: 5.3,
+  welders: 1.8,
+  welding: 2.7,
+  welfare: 3.9,
+  welling: 2.7,
+  welshed: 2.2,
+  wenches: 2.6,
+  wending: 1.3,
+  western: 4.1,
+  wetback: 2.7,
+  wetland: 2,
+  wetness: 2.1,
+  wettest: 1.9,
+  wetting: 2.9,
+  whacked: 3.6,
+  whalers: 2.2,
+  whaling: 2.9,
+  whammed: 1.6,
+  wharves: 1.3,
+  whatnot: 3.3,
+  wheaten: 1.3,
+  wheedle: 2,
+  wheeled: 2.9,
+  wheeler: 3.6,
+  wheezed: 1.3,
+  wheezes: 2.3,
+  whelped: 1.3,
+  whereas: 3.6,
+  whereby: 2.9,
+  wherein: 2.7,
+  whereof: 2.3,
+  whereon: 1.3,
+  whether: 4.8,
+  whetted: 2,
+  whiffed: 1.8,
+  whiling: 1.3,
+  whimper: 2.9,
+  whiners: 2.1,
+  whining: 3.7,
+  whipped: 3.9,
+  whippet: 2,
+  whirled: 1.6,
+  whisked: 2.3,
+  whisker: 2.4,
+  whiskey: 4.2,
+  whisper: 3.9,
+  whistle: 4.2,
+  whitest: 2.5,
+  whither: 2.5,
+  whiting: 2.8,
+  whitish: 1.3,
+  whittle: 2.6,
+  whizzed: 2,
+  whizzes: 1.9,
+  whoever: 4.6,
+  whooped: 2.6,
+  whoopee: 3.2,
+  whopper: 2.9,
+  wickers: 1.3,
+  wickets: 1.8,
+  widened: 2.4,
+  widowed: 2.8,
+  widower: 3.1,
+  wielded: 2.2,
+  wieners: 2.3,
+  wigging: 2.6,
+  wiggled: 2.3,
+  wiggler: 2.2,
+  wiggles: 2.6,
+  wigwams: 1.9,
+  wildcat: 3.1,
+  wildest: 3.4,
+  willful: 2.8,
+  willies: 2.9,
+  willing: 4.7,
+  willows: 3.3,
+  willowy: 1.8,
+  wilting: 2.1,
+  winches: 2.2,
+  wincing: 1.3,
+  windbag: 2.9,
+  winding: 3.3,
+  windows: 4.4,
+  wingers: 1.6,
+  winging: 2.8,
+  wingtip: 2,
+  winking: 2.6,
+  winners: 3.8,
+  winning: 4.4,
+  winsome: 2.1,
+  winters: 3.5,
+  wiretap: 2.7,
+  wishers: 1.3,
+  wishful: 3,
+  wishing: 3.8,
+  wistful: 2.2,
+  witched: 1.3,
+  witches: 4,
+  withers: 2.8,
+  without: 5.5,
+  witless: 2.7,
+  witness: 4.7,
+  wittier: 1.6,
+  wittily: 1.3,
+  wizards: 3,
+  wizened: 1.6,
+  wobbled: 1.6,
+  wobbles: 2.2,
+  wolfing: 2.2,
+  wolfish: 1.6,
+  wolfram: 3.7,
+  womanly: 2.2,
+  wombats: 2.2,
+  wonders: 3.8,
+  woodman: 2.5,
+  woodmen: 1.9,
+  woofers: 1.9,
+  woolens: 1.6,
+  wording: 2.4,
+  workday: 2.4,
+  workers: 4.1,
+  working: 5.4,
+  workman: 2.9,
+  workmen: 3,
+  workout: 3.4,
+  worldly: 3.2,
+  worming: 2.2,
+  worried: 5,
+  worrier: 2.5,
+  worries: 4,
+  worsens: 2.4,
+  worship: 3.9,
+  worsted: 2.1,
+  wounded: 4.3,
+  wraiths: 2.3,
+  wrangle: 2.5,
+  wrapped: 4.1,
+  wrapper: 3.2,
+  wreaked: 2,
+  wreaths: 2.5,
+  wrecked: 3.7,
+  wrecker: 2.7,
+  wrested: 1.3,
+  wrestle: 3.5,
+  wriggle: 2.6,
+  wriggly: 1.9,
+  wringer: 2.6,
+  wrinkle: 3.3,
+  wrinkly: 2.5,
+  writers: 3.8,
+  writhes: 1.3,
+  writing: 4.7,
+  written: 4.6,
+  wronged: 3,
+  wronger: 2.2,
+  wrongly: 3,
+  wrought: 2.9,
+  yakking: 2.8,
+  yanking: 2.9,
+  yapping: 3.1,
+  yardage: 1.8,
+  yardarm: 2.3,
+  yawning: 3,
+  yearned: 2.6,
+  yelling: 4.3,
+  yellows: 2.7,
+  yelping: 2.7,
+  yeshiva: 2.5,
+  yielded: 2.6,
+  yipping: 2.1,
+  yodeled: 1.8,
+  yodeler: 1.6,
+  yogurts: 2,
+  younger: 4.4,
+  yowling: 2.2,
+  yummier: 1.3,
+  yuppies: 2.7,
+  zappers: 1.3,
+  zapping: 2.3,
+  zealots: 2.2,
+  zealous: 2.5,
+  zeroing: 2.1,
+  zestful: 1.3,
+  zigzags: 1.8,
+  zillion: 3.1,
+  zingers: 2,
+  zinnias: 2.2,
+  zippers: 2.7,
+  zipping: 2.6,
+  zodiacs: 1.3,
+  zombies: 3.4,
+  zoology: 2.5,
+  zooming: 2.8,
+  zygotes: 1.3
+};
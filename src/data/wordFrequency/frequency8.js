@@ -0,0 +1,7928 @@
+// src/data/wordFrequency/frequency8.js
+//
+// 8-LETTER WORD FREQUENCY (generated by scripts/buildWordFrequency.js - do not edit by hand)
+//
+// Zipf frequency (log10 of occurrences per billion words) from SUBTLEX-US film
+// subtitles. ~1 = rare, 3 = uncommon, 4-5 = everyday words. Words that never
+// appear in the corpus are left out (treated as 0).
+//
+// Source: subtlex-word-frequencies npm package (ISC, Copyright (c) 2015 Zeke Sikelianos)
+
+/**
+ * Commonness score per word
+ * Total: 7912 of 10130 words found in the corpus
+ */
+export const WORD_FREQUENCY = {
+  aardvark: 2.6,
+  abacuses: 1.3,
+  abalones: 2.1,
+  abandons: 2.4,
+  abattoir: 2.1,
+  abbesses: 1.3,
+  abdicate: 2.2,
+  abdomens: 1.8,
+  abducted: 3.7,
+  abductee: 2.6,
+  abductor: 2.5,
+  aberrant: 2.5,
+  abetting: 2.7,
+  abeyance: 1.6,
+  abhorred: 2.1,
+  abjectly: 1.8,
+  ablution: 1.8,
+  abnormal: 3.5,
+  aborting: 2.4,
+  abortion: 3.9,
+  abortive: 1.3,
+  abounded: 1.8,
+  abrasion: 2.5,
+  abrasive: 2.7,
+  abridged: 2.2,
+  abrogate: 1.3,
+  abruptly: 2.9,
+  absences: 2.4,
+  absentee: 2.5,
+  absinthe: 2.7,
+  absolute: 4.1,
+  absolved: 2.5,
+  absolves: 1.9,
+  absorbed: 3.2,
+  abstains: 1.6,
+  abstract: 3.3,
+  abstruse: 1.8,
+  absurdly: 2.5,
+  abundant: 2.8,
+  abutment: 2.1,
+  abutting: 1.3,
+  academia: 2.4,
+  academic: 3.7,
+  acanthus: 1.3,
+  accented: 1.3,
+  accepted: 4.2,
+  accessed: 3.2,
+  accesses: 1.6,
+  accident: 4.9,
+  acclaims: 1.6,
+  accolade: 1.3,
+  accorded: 2.1,
+  accosted: 2.8,
+  accounts: 4,
+  accruing: 1.6,
+  accuracy: 3.2,
+  accurate: 3.9,
+  accursed: 2.8,
+  accusers: 2.2,
+  accusing: 3.7,
+  accustom: 2.1,
+  acetates: 1.3,
+  achieved: 3.6,
+  achiever: 2.4,
+  achieves: 2.5,
+  acolytes: 2.1,
+  acoustic: 3,
+  acquaint: 2.6,
+  acquired: 3.7,
+  acquires: 2.2,
+  acrimony: 2.3,
+  acrobats: 2.6,
+  acronyms: 2.1,
+  acrylics: 1.8,
+  activate: 3.7,
+  actively: 2.9,
+  activism: 2.2,
+  activist: 3,
+  activity: 4.1,
+  actually: 5.5,
+  actuated: 1.8,
+  actuator: 1.6,
+  adapting: 2.7,
+  adaptive: 2.3,
+  addendum: 2.5,
+  addicted: 3.7,
+  addition: 3.9,
+  additive: 2.3,
+  adenoids: 2.3,
+  adequacy: 1.3,
+  adequate: 3.4,
+  adherent: 1.8,
+  adhering: 2.2,
+  adhesion: 2.1,
+  adhesive: 3,
+  adjacent: 3.1,
+  adjoined: 1.3,
+  adjourns: 1.6,
+  adjudged: 1.8,
+  adjusted: 3.3,
+  adjuster: 2.6,
+  adjutant: 2.9,
+  admirals: 2.8,
+  admirers: 3,
+  admiring: 3.4,
+  admitted: 4,
+  admonish: 1.9,
+  adopting: 3.1,
+  adoption: 3.7,
+  adoptive: 2.8,
+  adorable: 4,
+  adorably: 1.6,
+  adorning: 1.6,
+  adrenals: 1.9,
+  adroitly: 1.8,
+  adultery: 3.3,
+  advanced: 3.9,
+  advances: 3.5,
+  adverted: 1.3,
+  advisers: 2.4,
+  advising: 3.1,
+  advisory: 3,
+  advocacy: 2.5,
+  advocate: 3.3,
+  aerating: 1.3,
+  aeration: 1.3,
+  aerobics: 3.2,
+  aerosols: 1.3,
+  aesthete: 2.1,
+  affected: 3.8,
+  affinity: 2.8,
+  affirmed: 2.1,
+  afflicts: 1.8,
+  affluent: 2.5,
+  afforded: 2.7,
+  aflutter: 1.9,
+  agencies: 3.5,
+  agitated: 3.4,
+  agitates: 2.1,
+  agitator: 2.3,
+  agnostic: 2.6,
+  agonized: 2.4,
+  agrarian: 2.2,
+  agreeing: 3.3,
+  ailerons: 1.9,
+  ailments: 2.8,
+  airborne: 3.6,
+  airbrush: 2.2,
+  aircraft: 4,
+  airfares: 1.6,
+  airfield: 3.4,
+  airheads: 2.1,
+  airiness: 1.3,
+  airlifts: 1.3,
+  airliner: 2.8,
+  airlines: 3.6,
+  airplane: 4,
+  airports: 3.1,
+  airships: 1.9,
+  airspace: 3.2,
+  airstrip: 3,
+  airtight: 3,
+  airwaves: 2.7,
+  alacrity: 2,
+  alarming: 3.1,
+  alarmist: 2.5,
+  albacore: 2.2,
+  alderman: 2.9,
+  aldermen: 1.3,
+  alerting: 2.5,
+  alfresco: 2.1,
+  alibiing: 1.6,
+  alienate: 2.8,
+  alighted: 1.6,
+  aligning: 2.1,
+  alkaline: 2.5,
+  alkaloid: 2.2,
+  allaying: 1.8,
+  alleging: 2.5,
+  allegory: 2.4,
+  alleluia: 2.8,
+  allergen: 1.8,
+  allergic: 3.9,
+  alleyway: 2.9,
+  alliance: 4,
+  allocate: 2.2,
+  allotted: 2.4,
+  allowing: 3.7,
+  allspice: 1.8,
+  alluding: 2.2,
+  alluring: 2.6,
+  allusion: 2.1,
+  alluvial: 1.3,
+  almanacs: 1.3,
+  almighty: 3.9,
+  alphabet: 3.4,
+  altering: 2.8,
+  although: 4.6,
+  altitude: 3.6,
+  altruism: 2.3,
+  altruist: 1.3,
+  aluminum: 3.4,
+  amaranth: 1.6,
+  amassing: 2.2,
+  amateurs: 3.5,
+  ambiance: 2.2,
+  ambition: 3.7,
+  ambrosia: 3,
+  ambushed: 3.3,
+  ambushes: 1.8,
+  amenable: 2.2,
+  amending: 1.6,
+  amethyst: 2.1,
+  amicable: 2.4,
+  amicably: 2.3,
+  amnesiac: 1.6,
+  amortize: 1.9,
+  amounted: 2.4,
+  amperage: 2,
+  amputate: 2.9,
+  amputees: 1.8,
+  anaconda: 2.7,
+  anagrams: 2.4,
+  analogue: 2,
+  analyses: 2.1,
+  analysis: 4,
+  analysts: 3,
+  analytic: 1.9,
+  analyzed: 3.3,
+  analyzer: 2.7,
+  analyzes: 2.3,
+  anarchic: 1.6,
+  anathema: 2.2,
+  anatomic: 1.9,
+  ancestor: 3.2,
+  ancestry: 2.7,
+  anchored: 2.8,
+  ancients: 2.7,
+  andantes: 1.3,
+  andirons: 1.9,
+  androids: 2.6,
+  anecdote: 3,
+  anemones: 2.4,
+  aneurysm: 3.3,
+  angering: 1.9,
+  angriest: 2.2,
+  angstrom: 1.9,
+  animated: 3.1,
+  animates: 1.6,
+  animator: 1.6,
+  animists: 1.3,
+  annexing: 1.8,
+  annotate: 1.8,
+  announce: 4,
+  annoying: 4,
+  annually: 2.7,
+  annulled: 2.9,
+  anointed: 2.9,
+  anorexia: 2.4,
+  anorexic: 2.8,
+  answered: 4.2,
+  antacids: 2.3,
+  anteater: 2.3,
+  antelope: 3,
+  antennae: 2.7,
+  antennas: 2.6,
+  anterior: 3,
+  anteroom: 2.2,
+  anthills: 2.1,
+  antibody: 2.4,
+  antidote: 3.6,
+  antigens: 2.1,
+  antihero: 1.3,
+  antimony: 1.3,
+  antiques: 3.4,
+  antonyms: 1.6,
+  anyplace: 3.7,
+  anything: 6,
+  anywhere: 4.9,
+  aperitif: 2.6,
+  aperture: 2.4,
+  aphorism: 1.3,
+  apologia: 1.6,
+  apoplexy: 2.2,
+  apostate: 1.8,
+  apostles: 2.8,
+  appalled: 3.1,
+  apparent: 3.6,
+  appealed: 3,
+  appeared: 4,
+  appeased: 2.2,
+  appeaser: 1.6,
+  appeases: 1.3,
+  appended: 1.9,
+  appendix: 3.4,
+  appetite: 4,
+  applauds: 2.4,
+  applause: 4.1,
+  applying: 3.6,
+  appoints: 2.1,
+  appraise: 2.3,
+  apprised: 2.9,
+  approach: 4.3,
+  approval: 3.9,
+  approved: 3.8,
+  approves: 2.9,
+  apricots: 2.4,
+  aptitude: 3,
+  aquarium: 3.4,
+  aquatics: 1.8,
+  aqueduct: 2.5,
+  aquiline: 1.3,
+  arachnid: 2.4,
+  arbiters: 2,
+  arboreal: 2.1,
+  archaism: 1.6,
+  archduke: 3,
+  archived: 1.9,
+  archives: 3.4,
+  ardently: 1.3,
+  argosies: 1.3,
+  arguably: 2.6,
+  argument: 4.2,
+  armament: 2.7,
+  armature: 1.3,
+  armbands: 2.2,
+  armchair: 2.6,
+  armorers: 1.8,
+  armrests: 1.8,
+  aromatic: 2.4,
+  arousing: 2.8,
+  arpeggio: 1.3,
+  arranged: 4.2,
+  arranger: 2.3,
+  arranges: 2.5,
+  arrested: 4.5,
+  arrivals: 2.9,
+  arriving: 3.9,
+  arrogant: 3.7,
+  arsenals: 1.8,
+  arsonist: 3,
+  arterial: 3.1,
+  arteries: 3.2,
+  artfully: 2.1,
+  articles: 3.8,
+  artifact: 3,
+  artifice: 1.8,
+  artisans: 2.1,
+  artistes: 2.1,
+  artistic: 3.7,
+  artistry: 2.7,
+  artworks: 2,
+  asbestos: 3.1,
+  ascended: 2.6,
+  ascetics: 1.6,
+  ascribed: 1.6,
+  ashtrays: 2.8,
+  asphyxia: 2.6,
+  aspirant: 1.3,
+  aspirate: 2.3,
+  aspiring: 2.8,
+  aspirins: 2.7,
+  assailed: 1.6,
+  assassin: 3.8,
+  assaults: 3,
+  assaying: 1.3,
+  assemble: 3.5,
+  assembly: 3.7,
+  asserted: 1.3,
+  assessed: 2.7,
+  assesses: 1.3,
+  assessor: 2.3,
+  assholes: 4.1,
+  assigned: 4.1,
+  assisted: 3.2,
+  assorted: 3,
+  assuaged: 1.6,
+  assuming: 4,
+  assuring: 2.4,
+  asterisk: 2.7,
+  asteroid: 3.2,
+  astonish: 2.7,
+  astounds: 2.1,
+  atheists: 2.6,
+  athletes: 3.5,
+  athletic: 3.6,
+  atomizer: 1.9,
+  atrocity: 2.8,
+  attached: 4.1,
+  attacked: 4.4,
+  attacker: 3.2,
+  attained: 2.9,
+  attempts: 3.6,
+  attended: 3.6,
+  attested: 2.1,
+  attitude: 4.4,
+  attorney: 4.6,
+  attracts: 3.1,
+  atypical: 2.6,
+  auctions: 2.6,
+  audacity: 3,
+  audibles: 1.8,
+  audience: 4.4,
+  auditing: 2.4,
+  audition: 4.1,
+  auditors: 2.3,
+  auditory: 2.7,
+  augments: 1.3,
+  auguries: 1.6,
+  auspices: 2.1,
+  authored: 1.8,
+  autistic: 3.1,
+  autocrat: 1.3,
+  automate: 1.9,
+  autonomy: 2.7,
+  autumnal: 2.2,
+  availing: 1.6,
+  avengers: 2.4,
+  avenging: 2.7,
+  averaged: 2.3,
+  averages: 2.9,
+  aversion: 3.1,
+  averting: 1.8,
+  aviation: 3.2,
+  aviators: 2.4,
+  aviatrix: 1.3,
+  avionics: 2.4,
+  avocados: 2.4,
+  avoiding: 3.8,
+  awaiting: 3.6,
+  awakened: 3.3,
+  awarding: 2.2,
+  azimuths: 1.3,
+  babbling: 3.5,
+  babushka: 2,
+  babyhood: 1.3,
+  babysits: 1.9,
+  bachelor: 4,
+  bacillus: 1.3,
+  backache: 2.4,
+  backbone: 3.2,
+  backdrop: 2.7,
+  backfire: 2.9,
+  backhand: 2.9,
+  backhoes: 1.3,
+  backlash: 2.1,
+  backless: 2.5,
+  backlogs: 1.3,
+  backpack: 3.6,
+  backrest: 1.3,
+  backside: 3.2,
+  backslid: 1.8,
+  backspin: 2,
+  backstop: 2.3,
+  backward: 3.5,
+  backwash: 2.4,
+  backyard: 3.9,
+  bacteria: 3.5,
+  badgered: 2.3,
+  badinage: 1.8,
+  badlands: 2.4,
+  badmouth: 2.4,
+  baffling: 2.5,
+  bagpipes: 2.8,
+  bailiffs: 2.5,
+  bailouts: 1.3,
+  bakeries: 2.1,
+  balanced: 3.4,
+  balances: 2.8,
+  baldness: 2.4,
+  ballasts: 1.8,
+  balloons: 3.7,
+  ballpark: 3.2,
+  ballroom: 3.6,
+  ballyhoo: 2,
+  banality: 2.3,
+  bandaged: 2.7,
+  bandages: 3.5,
+  bandanna: 2.6,
+  banditry: 1.3,
+  bandying: 1.8,
+  banished: 3.3,
+  banishes: 1.6,
+  banister: 3.1,
+  bankbook: 2.2,
+  banknote: 2.1,
+  bankroll: 3,
+  bankrupt: 3.4,
+  banquets: 2.2,
+  banshees: 2.6,
+  baptisms: 2.2,
+  baptists: 2.7,
+  baptized: 3.3,
+  barbaric: 3.1,
+  barbecue: 4,
+  barbells: 2.1,
+  bareback: 2.7,
+  barefoot: 3.4,
+  bargains: 2.8,
+  baristas: 1.9,
+  baritone: 2.6,
+  barmaids: 2,
+  barnacle: 2.8,
+  barnyard: 2.9,
+  baroness: 3.4,
+  baronets: 1.3,
+  baronial: 1.8,
+  barracks: 3.6,
+  barrages: 1.3,
+  barreled: 1.8,
+  barrette: 2.2,
+  barriers: 3,
+  barrooms: 1.3,
+  bartered: 2.1,
+  baseball: 4.4,
+  baseless: 2.5,
+  baseline: 2.9,
+  basement: 4.3,
+  baseness: 1.6,
+  basilica: 2.2,
+  bassinet: 2.5,
+  bassoons: 1.6,
+  bastards: 4.3,
+  bastions: 1.8,
+  batching: 1.8,
+  bathrobe: 3.2,
+  bathroom: 4.8,
+  bathtubs: 2.5,
+  battened: 1.9,
+  battered: 3,
+  battling: 3.4,
+  bawdiest: 1.3,
+  bayberry: 1.8,
+  bayonets: 2.9,
+  bazookas: 2.4,
+  beaching: 1.9,
+  beanbags: 2,
+  bearable: 2.8,
+  bearding: 1.3,
+  bearings: 3.2,
+  bearskin: 2.6,
+  beatific: 1.8,
+  beatings: 3.1,
+  beatniks: 2.2,
+  beauties: 3.4,
+  beautify: 2.2,
+  becalmed: 2,
+  beckoned: 2.3,
+  becoming: 4.4,
+  bedecked: 1.3,
+  bedrolls: 1.6,
+  bedrooms: 3.5,
+  bedsores: 2.3,
+  bedstead: 2,
+  bedtimes: 2.1,
+  beehives: 2,
+  befallen: 2.2,
+  befouled: 1.8,
+  befriend: 2.6,
+  beggared: 1.3,
+  beggarly: 1.3,
+  beginner: 3.3,
+  begonias: 2.3,
+  begotten: 2.3,
+  begrudge: 2.7,
+  beguiled: 2.1,
+  behaving: 3.6,
+  behavior: 4.4,
+  beheaded: 2.8,
+  behemoth: 2.3,
+  beholden: 2.8,
+  beholder: 2.5,
+  behooved: 1.6,
+  behooves: 2.1,
+  belaying: 1.8,
+  belching: 2.5,
+  belfries: 1.6,
+  believed: 4.5,
+  believer: 3.5,
+  believes: 4.2,
+  belittle: 2.9,
+  bellboys: 2.4,
+  bellhops: 2.2,
+  bellowed: 1.9,
+  bellyful: 2.8,
+  bellying: 1.6,
+  belonged: 4,
+  beloveds: 1.3,
+  benching: 1.9,
+  benefits: 3.9,
+  benignly: 1.6,
+  bequeath: 2.9,
+  bequests: 1.3,
+  berating: 2.2,
+  bereaved: 2.7,
+  beriberi: 2.1,
+  berthing: 1.8,
+  besieged: 2.4,
+  besieges: 1.6,
+  besmirch: 2.5,
+  besotted: 1.9,
+  bespeaks: 1.6,
+  bestowed: 3,
+  bestride: 1.3,
+  betokens: 1.3,
+  betrayal: 3.6,
+  betrayed: 4.1,
+  betrayer: 2.6,
+  bettered: 1.8,
+  beveling: 1.8,
+  beverage: 3.4,
+  bewilder: 1.6,
+  biannual: 2.1,
+  biathlon: 2.1,
+  biblical: 3.3,
+  bickered: 1.3,
+  bicuspid: 2,
+  bicycles: 2.6,
+  biennial: 1.3,
+  bifocals: 2.2,
+  bigamist: 2.5,
+  bigamous: 1.3,
+  bighorns: 1.3,
+  bigmouth: 2.7,
+  billeted: 2,
+  billfold: 2.4,
+  billings: 3.3,
+  billions: 3.6,
+  billowed: 1.3,
+  binaries: 1.6,
+  bindings: 2.3,
+  binnacle: 1.3,
+  binomial: 1.6,
+  biopsied: 1.9,
+  biplanes: 1.6,
+  biracial: 2.2,
+  birdbath: 2.3,
+  birdcage: 2.7,
+  birdseed: 2.5,
+  birthday: 5,
+  birthing: 2.7,
+  biscuits: 3.5,
+  bisected: 1.3,
+  bisexual: 3,
+  bitchier: 1.9,
+  bitching: 3.3,
+  bitterer: 1.3,
+  bitterly: 2.9,
+  bivalves: 1.3,
+  biweekly: 2.1,
+  blabbing: 2.9,
+  blackens: 1.6,
+  blackest: 2.5,
+  blacking: 2.7,
+  blackout: 3.6,
+  blacktop: 2.5,
+  bladders: 2.2,
+  blanched: 2,
+  blankets: 3.7,
+  blanking: 2.2,
+  blasters: 2.2,
+  blasting: 3.3,
+  blastoff: 2.8,
+  blazoned: 1.3,
+  bleached: 3,
+  bleacher: 1.8,
+  bleaches: 1.9,
+  bleakest: 1.3,
+  bleating: 2.4,
+  bleeders: 2.1,
+  bleeding: 4.5,
+  bleeping: 2.6,
+  blenched: 1.3,
+  blenders: 2.1,
+  blending: 2.7,
+  blessing: 4,
+  blighted: 2.1,
+  blinders: 2.7,
+  blindest: 1.3,
+  blinding: 3.2,
+  blinkers: 2.4,
+  blinking: 3.3,
+  blintzes: 2.3,
+  blissful: 2.7,
+  blisters: 3.1,
+  blithely: 2.4,
+  blitzing: 2.1,
+  blizzard: 3.3,
+  bloating: 2.4,
+  blockade: 3.2,
+  blockage: 2.8,
+  blocking: 3.8,
+  bloggers: 2.2,
+  blogging: 1.8,
+  blondest: 1.6,
+  bloodied: 2.7,
+  bloodier: 1.9,
+  bloodies: 1.3,
+  blooding: 1.3,
+  bloomers: 2.7,
+  blooming: 3.2,
+  bloopers: 2.1,
+  blossoms: 3.1,
+  blotched: 1.6,
+  blotches: 2.2,
+  blotters: 1.6,
+  blotting: 2.4,
+  blowguns: 1.3,
+  blowouts: 2.1,
+  blubbers: 1.3,
+  bludgeon: 2.4,
+  bluebell: 1.3,
+  bluebird: 2.9,
+  bluefish: 2.2,
+  bluenose: 1.6,
+  bluffers: 1.6,
+  bluffing: 3.7,
+  blunders: 2.4,
+  blurring: 2.2,
+  blurting: 2,
+  blushing: 3.3,
+  blusters: 1.3,
+  blustery: 2.3,
+  boarders: 2.6,
+  boarding: 4,
+  boasters: 1.3,
+  boastful: 2.3,
+  boasting: 2.8,
+  bobbling: 2,
+  bobolink: 1.3,
+  bobsleds: 1.8,
+  bobwhite: 2,
+  bodywork: 2.3,
+  bogeyman: 2.9,
+  bogeymen: 2.1,
+  boggling: 1.3,
+  bohemian: 3,
+  boldface: 1.6,
+  boldness: 2.3,
+  bolsters: 1.6,
+  bombards: 1.6,
+  bombings: 3.1,
+  bonanzas: 2.1,
+  bondsman: 2.7,
+  bondsmen: 2,
+  bonehead: 3.1,
+  boneless: 2.5,
+  bonfires: 2.3,
+  bonniest: 1.3,
+  bookcase: 3,
+  bookends: 2.4,
+  bookings: 2.6,
+  booklets: 2.5,
+  bookmark: 2.6,
+  bookshop: 2.9,
+  bookworm: 2.9,
+  boosters: 2.8,
+  boosting: 2.5,
+  bootlegs: 2,
+  bootless: 1.8,
+  bordello: 2.5,
+  bordered: 1.9,
+  boringly: 1.3,
+  boroughs: 2.4,
+  borrowed: 4,
+  borrower: 1.9,
+  bossiest: 1.6,
+  botanist: 2.4,
+  botching: 1.3,
+  bothered: 4,
+  bottling: 2.9,
+  bottomed: 2.1,
+  botulism: 2.7,
+  boudoirs: 1.8,
+  bouffant: 1.8,
+  bouillon: 2.1,
+  boulders: 2.7,
+  bouncers: 2.6,
+  bouncier: 1.6,
+  bouncing: 3.6,
+  boundary: 3.1,
+  bounders: 1.3,
+  bounding: 2.3,
+  bounties: 2.1,
+  bouquets: 2.8,
+  boutique: 3,
+  boycotts: 1.9,
+  boyishly: 2.1,
+  bracelet: 3.9,
+  brackets: 2.3,
+  brackish: 1.9,
+  braggart: 2.4,
+  bragging: 3.4,
+  braiding: 2,
+  braining: 1.3,
+  braising: 1.3,
+  brakeman: 2,
+  brakemen: 1.6,
+  branched: 2.1,
+  branches: 3.5,
+  brandied: 1.3,
+  brandies: 2.4,
+  branding: 2.9,
+  brandish: 1.6,
+  brassier: 1.3,
+  brawlers: 1.3,
+  brawling: 2.7,
+  brazenly: 2.1,
+  braziers: 1.3,
+  breached: 3.2,
+  breaches: 2.8,
+  breading: 1.6,
+  breakage: 2.3,
+  breakers: 3.2,
+  breaking: 4.6,
+  breakups: 2.7,
+  breasted: 2.1,
+  breathed: 3.1,
+  breather: 3.1,
+  breathes: 3.3,
+  breeches: 2.6,
+  breeders: 2.5,
+  breeding: 3.6,
+  breezier: 1.3,
+  breezing: 1.8,
+  brethren: 3.1,
+  brickbat: 1.3,
+  bricking: 1.6,
+  bridging: 2.3,
+  briefest: 2.2,
+  briefing: 3.7,
+  brigades: 2.6,
+  brigands: 2.1,
+  brighten: 3.1,
+  brighter: 3.5,
+  brightly: 2.9,
+  brimming: 2.5,
+  bringing: 4.7,
+  bristled: 1.3,
+  bristles: 2.5,
+  britches: 3.2,
+  broached: 2.4,
+  broaches: 1.3,
+  broadens: 2,
+  broadest: 2,
+  brocades: 1.3,
+  broccoli: 3.4,
+  brochure: 3.3,
+  broiling: 1.9,
+  brokered: 2.6,
+  bromides: 1.6,
+  bronchus: 1.8,
+  bronzing: 1.3,
+  brooches: 1.9,
+  brooding: 3,
+  brooking: 1.3,
+  brothels: 2.4,
+  brothers: 4.7,
+  brouhaha: 2.3,
+  browbeat: 1.8,
+  brownies: 3.5,
+  browning: 3.4,
+  brownish: 2.4,
+  brownout: 2,
+  browsers: 1.3,
+  browsing: 3,
+  bruisers: 1.9,
+  bruising: 3.2,
+  brunches: 2,
+  brunette: 3.5,
+  brushing: 3.3,
+  brutally: 3.3,
+  bubbling: 3,
+  buckeyes: 1.8,
+  buckling: 2.5,
+  buckshot: 3,
+  buckskin: 2.1,
+  budgeted: 2.2,
+  buffered: 1.6,
+  buffeted: 1.9,
+  buffoons: 2.3,
+  bugaboos: 1.3,
+  builders: 2.8,
+  building: 5,
+  buildups: 1.6,
+  bulimics: 1.6,
+  bulkhead: 3,
+  bulldogs: 2.7,
+  bulldoze: 2.4,
+  bulletin: 3.6,
+  bullfrog: 2.7,
+  bullhorn: 2.7,
+  bullocks: 2.3,
+  bullring: 2.4,
+  bullshit: 4.8,
+  bullying: 3,
+  bulwarks: 1.6,
+  bumbling: 2.6,
+  bumpkins: 2.1,
+  bunching: 1.8,
+  bundling: 1.8,
+  bungalow: 3.2,
+  bunghole: 2.8,
+  bunglers: 1.8,
+  bungling: 2.5,
+  buoyancy: 2.5,
+  burbling: 1.8,
+  burdened: 2.8,
+  burghers: 1.3,
+  burglars: 3.3,
+  burglary: 3.6,
+  burgling: 2.2,
+  burnoose: 1.8,
+  burnouts: 1.9,
+  burritos: 2.9,
+  burrowed: 2.2,
+  bursitis: 2.6,
+  bursting: 3.4,
+  bushings: 1.6,
+  business: 5.5,
+  bustling: 2.4,
+  busybody: 2.8,
+  busyness: 1.3,
+  busywork: 1.9,
+  butchers: 2.9,
+  butchery: 2.4,
+  buttered: 2.9,
+  buttocks: 3.3,
+  buttoned: 2.9,
+  buttress: 1.6,
+  buzzards: 3.2,
+  buzzword: 2.1,
+  bypassed: 2.6,
+  bypasses: 2.1,
+  cabarets: 2.4,
+  cabbages: 2.9,
+  cabinets: 3.1,
+  caboodle: 2.8,
+  cabooses: 2.2,
+  cackling: 2.8,
+  cadavers: 2.8,
+  caddying: 1.9,
+  cadences: 1.3,
+  caduceus: 1.6,
+  caffeine: 3.5,
+  caissons: 2.1,
+  cajoling: 1.9,
+  calabash: 1.8,
+  calamine: 2.3,
+  calamity: 3.3,
+  calculus: 3,
+  calendar: 3.9,
+  calfskin: 2.3,
+  calibers: 1.8,
+  calicoes: 1.3,
+  calipers: 1.3,
+  callings: 1.3,
+  calliope: 2.4,
+  callused: 1.8,
+  calluses: 2.6,
+  calmness: 2,
+  calories: 3.2,
+  calypsos: 1.3,
+  camellia: 2.1,
+  camisole: 2,
+  campaign: 4.2,
+  campfire: 3.1,
+  campsite: 2.8,
+  campuses: 2.1,
+  camshaft: 2.3,
+  canaries: 2.9,
+  canceled: 3.9,
+  candidly: 2.7,
+  canister: 3.2,
+  cannabis: 2.7,
+  cannibal: 3,
+  canniest: 1.3,
+  canoeing: 2.2,
+  canonize: 1.6,
+  canopies: 1.8,
+  cantatas: 1.9,
+  canteens: 2.8,
+  canvases: 2.7,
+  capacity: 3.9,
+  capering: 1.3,
+  capitals: 2.7,
+  capitols: 1.6,
+  caprices: 1.6,
+  capsized: 2.7,
+  capsizes: 1.3,
+  capsules: 2.9,
+  captains: 3.5,
+  captions: 3.3,
+  captives: 2.7,
+  captured: 4.1,
+  captures: 2.8,
+  caramels: 2.2,
+  carapace: 1.8,
+  caravans: 2.3,
+  carbines: 1.6,
+  cardigan: 2.8,
+  cardinal: 3.6,
+  careened: 1.8,
+  carefree: 3.1,
+  careless: 3.7,
+  caressed: 2.5,
+  caresses: 2.1,
+  careworn: 1.6,
+  carillon: 1.3,
+  carnally: 1.3,
+  carnival: 3.9,
+  carolers: 2.3,
+  caroling: 2.5,
+  carotids: 1.6,
+  carousal: 1.3,
+  caroused: 1.3,
+  carousel: 3.2,
+  carouses: 1.3,
+  carpeted: 2.3,
+  carports: 1.3,
+  carriage: 3.9,
+  carriers: 3.4,
+  carryall: 1.9,
+  carrying: 4.5,
+  carryout: 1.6,
+  cartoons: 3.5,
+  carvings: 2.5,
+  cascaded: 2,
+  cascades: 2,
+  caseload: 2.6,
+  casement: 1.6,
+  casework: 1.8,
+  cashiers: 2.3,
+  cashmere: 3.2,
+  cassette: 3.3,
+  castanet: 1.3,
+  castaway: 2.8,
+  castings: 1.3,
+  castoffs: 1.8,
+  castrate: 2.8,
+  casually: 3.3,
+  casualty: 3.4,
+  catacomb: 2,
+  catalogs: 2.8,
+  catalyst: 2.9,
+  catalyze: 1.3,
+  catapult: 2.8,
+  cataract: 2.1,
+  catcalls: 1.8,
+  catchers: 2.3,
+  catchier: 1.3,
+  catching: 4.1,
+  category: 3.6,
+  caterers: 3.1,
+  catering: 3.4,
+  catheter: 3,
+  cathodes: 1.3,
+  catholic: 4.1,
+  cattiest: 1.3,
+  catwalks: 2.1,
+  caucused: 1.3,
+  caucuses: 1.6,
+  cauldron: 2.7,
+  caulking: 2.2,
+  causeway: 2.5,
+  caustics: 1.3,
+  cautions: 1.6,
+  cautious: 3.5,
+  cavalier: 3.1,
+  cavities: 2.9,
+  ceilings: 3,
+  celibacy: 2.9,
+  celibate: 2.8,
+  cellists: 1.6,
+  cellular: 3.5,
+  cemented: 2.3,
+  cemetery: 3.9,
+  censored: 2.7,
+  censured: 2.3,
+  centaurs: 2.2,
+  centered: 3,
+  centimes: 1.6,
+  centrist: 1.3,
+  cephalic: 1.6,
+  ceramics: 2.8,
+  cerebral: 3.3,
+  cerebrum: 2.2,
+  ceremony: 4.2,
+  cerulean: 2.5,
+  cervical: 2.8,
+  cesarean: 2.4,
+  cesspool: 3.1,
+  cetacean: 2,
+  chaffing: 1.3,
+  chaining: 2,
+  chainsaw: 3,
+  chairing: 2.3,
+  chairman: 4.1,
+  chairmen: 1.6,
+  chalices: 1.3,
+  chalking: 1.6,
+  chambers: 3.8,
+  champing: 1.9,
+  champion: 4.3,
+  chancery: 1.9,
+  chancing: 2.3,
+  chandler: 4.2,
+  changing: 4.4,
+  channels: 3.7,
+  chanteys: 2,
+  chanting: 3.6,
+  chaperon: 2.8,
+  chaplain: 3.4,
+  chapping: 1.8,
+  chapters: 3.3,
+  charades: 3,
+  charcoal: 3.2,
+  chargers: 2.6,
+  charging: 3.8,
+  chariots: 2.6,
+  charisma: 3,
+  charmers: 2.1,
+  charming: 4.4,
+  charring: 2,
+  charters: 2.2,
+  charting: 2.5,
+  chastely: 1.3,
+  chastens: 1.3,
+  chastise: 2.1,
+  chastity: 3.2,
+  chasuble: 2.3,
+  chateaus: 1.6,
+  chattels: 2,
+  chatters: 2.1,
+  chatting: 3.5,
+  cheapens: 2,
+  cheapest: 3.2,
+  cheaters: 2.8,
+  cheating: 4.3,
+  checkers: 3.3,
+  checking: 4.5,
+  checkout: 3.1,
+  checkups: 2.6,
+  cheeking: 1.3,
+  cheeping: 1.8,
+  cheerful: 3.6,
+  cheerier: 1.9,
+  cheerily: 1.6,
+  cheering: 4.1,
+  cheesier: 1.8,
+  cheesing: 1.6,
+  cheetahs: 2.2,
+  chemical: 4.1,
+  chemists: 2.6,
+  chenille: 2.5,
+  cherries: 3.3,
+  cherubic: 1.6,
+  cherubim: 1.6,
+  chessman: 1.6,
+  chestnut: 3.1,
+  chevrons: 2,
+  chickens: 4,
+  chiefest: 1.6,
+  chiggers: 1.6,
+  childish: 3.7,
+  children: 5.2,
+  chillers: 1.3,
+  chilling: 3.2,
+  chimeras: 1.3,
+  chimneys: 2.8,
+  chinking: 1.3,
+  chinning: 1.6,
+  chipmunk: 2.9,
+  chippers: 2.3,
+  chipping: 2.8,
+  chirping: 3,
+  chiseled: 2.6,
+  chiseler: 2.9,
+  chitchat: 3.1,
+  chivalry: 3.1,
+  chloride: 3,
+  chlorine: 2.9,
+  chocking: 1.3,
+  choicest: 2,
+  choleric: 1.8,
+  chomping: 2.4,
+  choosing: 3.7,
+  choppers: 3.5,
+  chopping: 3.3,
+  chortles: 2,
+  choruses: 2.4,
+  christen: 2.8,
+  chroming: 1.3,
+  chromium: 2.8,
+  chucking: 2.5,
+  chuckled: 1.9,
+  chuckles: 4.1,
+  chugging: 2.5,
+  chumming: 2.1,
+  chunkier: 1.3,
+  churches: 3.5,
+  churlish: 2,
+  churning: 2.7,
+  chutzpah: 2.2,
+  ciabatta: 1.3,
+  cilantro: 2.7,
+  cinnabar: 2.3,
+  cinnamon: 3.5,
+  circling: 3.5,
+  circuits: 3.4,
+  circular: 3.2,
+  circuses: 2.5,
+  citadels: 1.3,
+  citation: 3.2,
+  citizens: 4.1,
+  civilian: 4,
+  civility: 2.7,
+  civilize: 2.2,
+  clacking: 2.4,
+  claiming: 3.6,
+  clambake: 2.7,
+  clamming: 2.1,
+  clamored: 1.3,
+  clamping: 2.2,
+  clanging: 2.9,
+  clanking: 3,
+  clannish: 2,
+  clappers: 1.3,
+  clapping: 3.3,
+  claptrap: 2.4,
+  clarinet: 3.2,
+  clashing: 2.1,
+  clasping: 1.8,
+  classics: 3.3,
+  classier: 2.4,
+  classify: 2.8,
+  clatters: 2.5,
+  clavicle: 3,
+  cleaners: 3.6,
+  cleanest: 2.8,
+  cleaning: 4.4,
+  cleansed: 2.7,
+  cleanser: 2.6,
+  cleanses: 2.3,
+  clearest: 2.5,
+  clearing: 3.8,
+  cleavage: 3.1,
+  cleavers: 1.6,
+  cleaving: 1.8,
+  clemency: 3,
+  clenched: 2.6,
+  clenches: 2,
+  clerical: 3,
+  clerking: 2.5,
+  cleverer: 2.4,
+  cleverly: 2.9,
+  clicking: 3.4,
+  climates: 2.2,
+  climatic: 2.1,
+  climaxed: 1.9,
+  climaxes: 2.2,
+  climbers: 2.6,
+  climbing: 3.9,
+  clinched: 2.2,
+  clincher: 2.5,
+  clinches: 2.3,
+  clinging: 3,
+  clinical: 3.5,
+  clinking: 2.9,
+  clippers: 3,
+  clipping: 3.1,
+  clitoral: 2.1,
+  clitoris: 3,
+  cloaking: 2.9,
+  clobbers: 1.8,
+  clocking: 2.5,
+  clogging: 2.6,
+  cloister: 2.7,
+  clomping: 1.9,
+  clopping: 1.3,
+  closeted: 1.8,
+  closures: 1.9,
+  clothier: 1.6,
+  clothing: 4,
+  clotting: 2.7,
+  cloudier: 1.3,
+  clouding: 2.8,
+  clowning: 3.2,
+  clownish: 1.6,
+  clubbing: 2.8,
+  clubfoot: 2.2,
+  clucking: 2.8,
+  clueless: 3.3,
+  clumping: 2,
+  clumsier: 1.6,
+  clumsily: 2.2,
+  clunkers: 1.3,
+  clunking: 2.2,
+  clusters: 2.9,
+  clutched: 2.4,
+  clutches: 2.9,
+  clutters: 2.4,
+  coaching: 3.5,
+  coachman: 2.8,
+  coachmen: 1.3,
+  coalesce: 1.8,
+  coasters: 3,
+  coasting: 2.5,
+  coatings: 1.3,
+  coauthor: 2,
+  cobblers: 1.9,
+  cobbling: 1.3,
+  cockatoo: 2.2,
+  cockerel: 2.1,
+  cockeyed: 3.2,
+  cockneys: 1.3,
+  cockpits: 1.8,
+  cocksure: 2.2,
+  cocktail: 4,
+  coconuts: 3,
+  cocooned: 2,
+  coddling: 2.4,
+  codicils: 1.6,
+  coercing: 1.9,
+  coercion: 2.6,
+  coercive: 2.1,
+  coexists: 1.3,
+  cogently: 1.3,
+  cogitate: 1.8,
+  cognomen: 1.3,
+  cogwheel: 1.6,
+  coherent: 3,
+  cohesion: 2,
+  cohesive: 2.1,
+  coiffing: 1.3,
+  coiffure: 2,
+  coincide: 2.9,
+  colander: 2.1,
+  coldness: 2.5,
+  coleslaw: 3.1,
+  coliseum: 2.9,
+  collages: 1.8,
+  collapse: 3.7,
+  collared: 2.2,
+  collated: 1.6,
+  collects: 3.2,
+  colleges: 3.4,
+  collided: 2.8,
+  collides: 1.6,
+  colliers: 1.6,
+  colliery: 2.2,
+  colloids: 1.3,
+  colloquy: 1.3,
+  colluded: 2,
+  colludes: 1.8,
+  colognes: 1.3,
+  colonels: 2.8,
+  colonial: 3.3,
+  colonies: 3.2,
+  colonist: 1.8,
+  colonize: 2.4,
+  coloreds: 2.6,
+  colorful: 3.5,
+  coloring: 3.3,
+  colossal: 3.1,
+  colossus: 2.4,
+  comatose: 3,
+  combined: 3.6,
+  combines: 2.7,
+  comeback: 3.5,
+  comedian: 3.6,
+  comedies: 2.8,
+  comedown: 2.1,
+  comforts: 3.1,
+  commando: 3,
+  commands: 3.6,
+  commence: 3.7,
+  commends: 2,
+  comments: 3.7,
+  commerce: 3.5,
+  commoner: 2.8,
+  commonly: 3.1,
+  communal: 2.8,
+  communed: 1.6,
+  communes: 2,
+  commuted: 2.5,
+  commuter: 2.8,
+  commutes: 1.9,
+  compacts: 2,
+  compared: 4,
+  compares: 2.9,
+  competed: 2.6,
+  competes: 2.2,
+  compiled: 2.8,
+  compiler: 2.1,
+  compiles: 1.3,
+  complain: 4.1,
+  complete: 4.7,
+  complied: 2.4,
+  complies: 2.1,
+  composed: 3.3,
+  composer: 3.4,
+  composes: 1.8,
+  compound: 3.8,
+  compress: 2.8,
+  comprise: 2.2,
+  computed: 2.6,
+  computer: 4.8,
+  computes: 1.6,
+  comrades: 3.7,
+  conceals: 2.2,
+  conceded: 2.2,
+  concedes: 1.3,
+  conceits: 1.3,
+  conceive: 3.4,
+  concepts: 3.2,
+  concerns: 4,
+  concerto: 3,
+  concerts: 3.3,
+  conclave: 1.6,
+  conclude: 3.4,
+  concrete: 3.9,
+  condemns: 2.4,
+  condense: 2.4,
+  condoled: 1.3,
+  condoned: 2.2,
+  condones: 2.1,
+  conducts: 2.6,
+  conduits: 2.4,
+  confetti: 3,
+  confided: 2.9,
+  confides: 2.1,
+  confined: 3.5,
+  confines: 2.9,
+  confirms: 3.4,
+  conflict: 3.9,
+  conforms: 2.3,
+  confound: 3.1,
+  confront: 3.6,
+  confused: 4.5,
+  confuses: 2.8,
+  congeals: 1.3,
+  congress: 3.9,
+  conifers: 1.3,
+  conjugal: 2.9,
+  conjured: 2.6,
+  conjurer: 2,
+  conjures: 2.3,
+  connects: 3.3,
+  connived: 1.8,
+  conniver: 1.9,
+  connives: 1.3,
+  conquers: 2.7,
+  conquest: 3.3,
+  consents: 2.3,
+  conserve: 2.9,
+  consider: 4.7,
+  consists: 3.1,
+  consoled: 2.4,
+  consoles: 1.8,
+  consorts: 2,
+  conspire: 2.8,
+  constant: 4,
+  construe: 2.5,
+  consular: 2.6,
+  consults: 2.6,
+  consumed: 3.5,
+  consumer: 3.3,
+  consumes: 2.8,
+  contacts: 3.9,
+  contains: 3.7,
+  contempt: 3.7,
+  contends: 2.3,
+  contents: 3.6,
+  contests: 3.1,
+  contexts: 1.3,
+  continue: 4.7,
+  contorts: 1.6,
+  contours: 2.6,
+  contract: 4.5,
+  contrail: 1.6,
+  contrary: 3.9,
+  contrast: 3.3,
+  contrite: 2.3,
+  contrive: 2,
+  controls: 3.9,
+  contused: 1.3,
+  convened: 2.8,
+  convenes: 2.2,
+  convents: 2.3,
+  converge: 2.8,
+  converse: 3.1,
+  converts: 2.8,
+  conveyed: 2.7,
+  conveyor: 2.9,
+  convicts: 3.1,
+  convince: 4.3,
+  convulse: 2.1,
+  cookbook: 2.9,
+  cookouts: 2,
+  coolants: 1.8,
+  coolness: 2.5,
+  copulate: 2.4,
+  copycats: 2.1,
+  coquette: 2.5,
+  cordless: 2.6,
+  cordoned: 2.6,
+  corduroy: 2.8,
+  cornball: 2.6,
+  corncobs: 2.2,
+  cornered: 3.4,
+  cornices: 1.9,
+  corniest: 1.8,
+  cornmeal: 2.4,
+  cornrows: 2.1,
+  coronary: 3.3,
+  coroners: 2.1,
+  corporal: 4.2,
+  corrects: 2,
+  corridor: 3.7,
+  corroded: 2.4,
+  corrodes: 2.1,
+  corrupts: 2.7,
+  corsages: 2,
+  corseted: 1.3,
+  cortical: 2.3,
+  cosigned: 1.9,
+  cosmetic: 3.3,
+  costumed: 2.2,
+  costumes: 3.8,
+  cottages: 2.7,
+  cottoned: 1.3,
+  couching: 2.1,
+  coughing: 3.7,
+  councils: 2.2,
+  counsels: 2.1,
+  counters: 2.9,
+  countess: 3.8,
+  counties: 2.8,
+  counting: 4.3,
+  couplets: 1.3,
+  coupling: 2.7,
+  couriers: 2.9,
+  coursing: 2.7,
+  courtesy: 3.9,
+  courtier: 1.8,
+  courting: 3.2,
+  covenant: 3.8,
+  coverage: 3.8,
+  coverall: 1.8,
+  covering: 4.1,
+  coverlet: 2.2,
+  covertly: 2.5,
+  coveting: 2.5,
+  covetous: 1.9,
+  cowardly: 3.4,
+  cowering: 2.4,
+  cowgirls: 2.8,
+  cowhands: 2.3,
+  cowlings: 2,
+  coworker: 2.8,
+  cowpokes: 2.1,
+  coxswain: 2,
+  crabbing: 2.2,
+  crackers: 3.8,
+  cracking: 3.8,
+  crackled: 1.3,
+  crackles: 2.6,
+  crackpot: 3,
+  crackups: 1.3,
+  cradling: 2.2,
+  craftier: 1.6,
+  craftily: 1.3,
+  crafting: 2.4,
+  cramming: 2.8,
+  cramping: 2.9,
+  craniums: 1.3,
+  crankier: 1.3,
+  cranking: 2.9,
+  crannies: 2.2,
+  crappier: 1.8,
+  crapping: 2.6,
+  crashing: 3.8,
+  cravenly: 1.6,
+  cravings: 2.7,
+  crawling: 4,
+  crayfish: 1.6,
+  craziest: 3.4,
+  creaking: 3.4,
+  creamers: 2,
+  creamery: 2.1,
+  creamier: 1.3,
+  creaming: 2,
+  creating: 3.9,
+  creation: 3.8,
+  creative: 4,
+  creators: 2.7,
+  creature: 4.3,
+  credence: 2.6,
+  credenza: 2.2,
+  credible: 3.2,
+  credibly: 1.9,
+  credited: 2.8,
+  creditor: 2.1,
+  creepers: 2.3,
+  creepier: 2,
+  creeping: 3.4,
+  cremated: 3.3,
+  cremates: 1.3,
+  creosote: 2.1,
+  crescent: 3.1,
+  cresting: 1.3,
+  crevasse: 1.8,
+  crevices: 2,
+  cribbage: 2.4,
+  cribbing: 1.8,
+  crickets: 3.1,
+  criminal: 4.5,
+  crimping: 1.8,
+  cringing: 2.3,
+  crinkled: 1.8,
+  crinkles: 2,
+  crippled: 3.6,
+  cripples: 2.8,
+  crispier: 1.3,
+  crisping: 1.3,
+  criteria: 3.3,
+  critical: 4.1,
+  critique: 2.7,
+  critters: 3.2,
+  croaking: 2.3,
+  crochets: 1.9,
+  crockery: 2,
+  crocuses: 1.3,
+  crooking: 1.3,
+  crooners: 2.1,
+  crooning: 2.2,
+  croppers: 1.3,
+  cropping: 2.1,
+  crossbar: 2,
+  crossbow: 3,
+  crossing: 3.9,
+  crotches: 1.9,
+  crotchet: 1.6,
+  crouched: 2.4,
+  croupier: 2.5,
+  crowbars: 2.1,
+  crowding: 3,
+  crowning: 3.1,
+  crucible: 2.2,
+  crucifix: 3.1,
+  cruelest: 2.5,
+  cruisers: 2.9,
+  cruising: 3.4,
+  crullers: 2,
+  crumbled: 2.7,
+  crumbles: 2.7,
+  crumpets: 2.7,
+  crumpled: 2.7,
+  crumples: 1.6,
+  crunched: 2.3,
+  cruncher: 1.9,
+  crunches: 2.4,
+  crusader: 3,
+  crusades: 2.9,
+  crushing: 3.4,
+  crusting: 1.3,
+  crutches: 3.2,
+  crystals: 3.4,
+  cubicles: 2.4,
+  cuckolds: 1.3,
+  cucumber: 3.3,
+  cuddlier: 1.3,
+  cuddling: 2.9,
+  cuisines: 1.8,
+  culinary: 3.1,
+  culottes: 1.6,
+  culpable: 2.3,
+  culprits: 2.6,
+  cultural: 3.6,
+  cultured: 3,
+  cultures: 3.5,
+  culverts: 2,
+  cupboard: 3.4,
+  cupcakes: 3.2,
+  cupidity: 1.3,
+  curative: 2.3,
+  curators: 1.9,
+  curdling: 1.3,
+  currants: 1.6,
+  currency: 3.6,
+  currents: 3.2,
+  currying: 1.8,
+  curtains: 3.8,
+  curtsies: 1.6,
+  cushions: 3.1,
+  custards: 1.8,
+  customer: 4.2,
+  cutbacks: 3,
+  cuteness: 2.5,
+  cuticles: 2.2,
+  cuttings: 2.1,
+  cybersex: 2.1,
+  cyclamen: 1.3,
+  cyclical: 2.2,
+  cyclists: 1.3,
+  cyclones: 1.8,
+  cylinder: 3.2,
+  cynicism: 3,
+  cynosure: 1.6,
+  dabblers: 1.3,
+  dabbling: 2.4,
+  daffodil: 2.3,
+  dainties: 1.9,
+  daintily: 1.8,
+  daiquiri: 2.9,
+  dairymen: 1.3,
+  dallying: 1.6,
+  damaging: 3.2,
+  damnable: 2.5,
+  damnably: 1.8,
+  dampened: 2.1,
+  dampness: 2.1,
+  dandiest: 1.3,
+  dandruff: 2.9,
+  dangling: 3.1,
+  daringly: 1.8,
+  darkened: 2.9,
+  darkness: 4.2,
+  darkroom: 2.9,
+  darlings: 3.4,
+  database: 3.8,
+  dateline: 2.5,
+  daughter: 5.2,
+  daunting: 2.5,
+  dawdling: 2.6,
+  daybreak: 3.1,
+  daydream: 3,
+  daylight: 4,
+  dazzling: 3.1,
+  deadbeat: 3.2,
+  deadbolt: 2,
+  deadened: 1.9,
+  deadlier: 2.4,
+  deadline: 3.8,
+  deadlock: 1.9,
+  deadwood: 3.2,
+  deafened: 1.8,
+  deafness: 2.4,
+  dealings: 3.3,
+  deathbed: 3.1,
+  debacles: 1.3,
+  debarked: 1.3,
+  debarred: 1.3,
+  debasing: 1.8,
+  debaters: 1.3,
+  debating: 3.2,
+  debiting: 1.3,
+  debonair: 2.5,
+  debriefs: 1.3,
+  debugged: 1.3,
+  debugger: 1.8,
+  debunked: 1.8,
+  debuting: 1.3,
+  decadent: 3.1,
+  decamped: 1.3,
+  decanted: 1.3,
+  decanter: 2.3,
+  decaying: 2.8,
+  deceased: 3.8,
+  decedent: 2.7,
+  deceived: 3.5,
+  deceiver: 2.2,
+  deceives: 2.1,
+  decently: 2.6,
+  decibels: 2.5,
+  deciding: 3.5,
+  decimals: 1.9,
+  decimate: 2.2,
+  decipher: 3.2,
+  decision: 4.7,
+  decisive: 3.1,
+  deckhand: 2.2,
+  declared: 3.8,
+  declares: 2.8,
+  declined: 3.2,
+  declines: 2.4,
+  decoding: 2.5,
+  decorate: 3.4,
+  decorous: 1.6,
+  decoying: 1.6,
+  decrease: 3.1,
+  decrepit: 2.7,
+  dedicate: 3.4,
+  deducing: 1.6,
+  deducted: 2.5,
+  deepened: 1.8,
+  deepness: 1.3,
+  deerskin: 1.3,
+  defacing: 2.3,
+  defaming: 1.3,
+  defaults: 1.9,
+  defeated: 3.7,
+  defecate: 2.5,
+  defected: 2.6,
+  defector: 2.7,
+  defended: 3.3,
+  defender: 3.5,
+  defenses: 3.3,
+  deferred: 2.4,
+  defiance: 3,
+  deficits: 2.2,
+  defiling: 2.3,
+  defining: 3,
+  definite: 3.8,
+  deflated: 2.2,
+  deflates: 1.6,
+  deflects: 1.3,
+  deforest: 2.1,
+  deformed: 3.1,
+  defrayed: 1.3,
+  deftness: 1.3,
+  defusing: 2.1,
+  degraded: 3,
+  degrades: 2.4,
+  deigning: 1.3,
+  dejected: 2.3,
+  delaying: 2.8,
+  delegate: 3.2,
+  deleting: 2.1,
+  deletion: 2.1,
+  delicacy: 3.1,
+  delicate: 4,
+  delights: 2.9,
+  delirium: 2.8,
+  delivers: 3.3,
+  delivery: 4.3,
+  deluding: 2.3,
+  delusion: 3.4,
+  demanded: 3.4,
+  demeaned: 2.1,
+  demeanor: 3,
+  demented: 3.3,
+  dementia: 3.1,
+  demerits: 2.6,
+  demigods: 2.1,
+  democrat: 3.2,
+  demolish: 2.7,
+  demoniac: 1.3,
+  demoting: 1.8,
+  demotion: 2.5,
+  demurely: 1.6,
+  demurest: 1.3,
+  demurred: 1.8,
+  denizens: 2.3,
+  denoting: 1.3,
+  denounce: 2.9,
+  dentists: 3,
+  dentures: 2.8,
+  departed: 3.4,
+  depended: 3.2,
+  depicted: 2.6,
+  depleted: 2.9,
+  depletes: 1.3,
+  deplores: 1.6,
+  deployed: 3.2,
+  deported: 3.3,
+  deposing: 2.2,
+  deposits: 3.3,
+  depraved: 3.1,
+  deprived: 3.3,
+  deprives: 1.9,
+  deputies: 3.4,
+  deputize: 2.5,
+  derailed: 2.8,
+  deranged: 3.4,
+  deranges: 1.6,
+  derelict: 2.9,
+  derision: 2.2,
+  derisive: 1.6,
+  deriving: 1.3,
+  derricks: 1.9,
+  descends: 2.8,
+  descents: 1.6,
+  describe: 4.2,
+  deserted: 3.7,
+  deserter: 2.9,
+  deserved: 4,
+  deserves: 4.2,
+  designed: 4.2,
+  designer: 3.7,
+  desiring: 2.3,
+  desirous: 2.4,
+  desolate: 3,
+  despairs: 1.6,
+  despised: 3.1,
+  despises: 2.8,
+  desserts: 3.1,
+  destined: 3.6,
+  destroys: 3.4,
+  destruct: 2.8,
+  detached: 3.2,
+  detailed: 3.6,
+  detained: 3.4,
+  detainee: 2.3,
+  detected: 3.5,
+  detector: 3.5,
+  deterred: 2.4,
+  detested: 2.3,
+  dethrone: 2,
+  detonate: 3.3,
+  detoured: 1.8,
+  detoxify: 1.8,
+  detoxing: 2.2,
+  detritus: 2.2,
+  devalued: 2.2,
+  devalues: 1.8,
+  develops: 3.1,
+  deviance: 1.8,
+  deviants: 2.4,
+  deviated: 2.6,
+  deviates: 2.1,
+  deviling: 1.8,
+  devilish: 2.7,
+  deviltry: 1.3,
+  devising: 2.4,
+  devolved: 2,
+  devolves: 1.6,
+  devotees: 2.1,
+  devoting: 2.6,
+  devotion: 3.6,
+  devoured: 3,
+  devoutly: 2.1,
+  dewberry: 1.3,
+  dewdrops: 2.2,
+  dextrose: 2.4,
+  diabetes: 3.5,
+  diabetic: 3.3,
+  diabolic: 1.9,
+  diagnose: 3,
+  diagonal: 2.7,
+  diagrams: 2.6,
+  dialects: 2.5,
+  dialogue: 3.6,
+  dialysis: 3.2,
+  diameter: 3,
+  diamonds: 4.2,
+  diapered: 1.6,
+  diarrhea: 3.4,
+  diatribe: 2.4,
+  dictated: 2.9,
+  dictates: 2.9,
+  dictator: 3.3,
+  didactic: 1.6,
+  diddling: 2.6,
+  dietetic: 1.6,
+  differed: 2.3,
+  diffused: 2.4,
+  diffuses: 1.8,
+  digested: 2.7,
+  digitize: 1.9,
+  dilating: 2,
+  dilation: 2.8,
+  dilatory: 1.6,
+  dilemmas: 2.1,
+  diligent: 2.9,
+  diluting: 2.1,
+  dilution: 1.6,
+  diminish: 2.9,
+  dinettes: 1.8,
+  dinghies: 1.3,
+  dinosaur: 3.6,
+  diocesan: 1.8,
+  dioceses: 1.8,
+  dioramas: 2.1,
+  diplomas: 2.7,
+  diplomat: 3.3,
+  dipstick: 2.7,
+  directed: 3.8,
+  directly: 4.3,
+  director: 4.6,
+  dirtiest: 2.9,
+  dirtying: 2.1,
+  disabled: 3.5,
+  disables: 1.9,
+  disabuse: 1.9,
+  disagree: 3.8,
+  disallow: 1.3,
+  disarmed: 3,
+  disarray: 2.5,
+  disaster: 4.2,
+  disburse: 1.6,
+  discards: 1.8,
+  disciple: 3,
+  disclaim: 2,
+  disclose: 3.2,
+  discoing: 1.3,
+  discords: 1.8,
+  discount: 3.7,
+  discover: 4.1,
+  discreet: 3.6,
+  discrete: 2.5,
+  disdains: 1.6,
+  diseased: 3.1,
+  diseases: 3.6,
+  disfavor: 1.8,
+  disgrace: 3.9,
+  disguise: 3.9,
+  disgusts: 2.7,
+  dishonor: 3.1,
+  dishrags: 1.3,
+  disinter: 1.8,
+  disjoint: 1.6,
+  diskette: 2.5,
+  disliked: 2.7,
+  dislikes: 2.8,
+  dislodge: 2.4,
+  disloyal: 3,
+  dismayed: 2.6,
+  dismount: 3.2,
+  disobeys: 2.2,
+  disorder: 3.9,
+  disowned: 2.5,
+  dispatch: 3.8,
+  dispense: 3.1,
+  disperse: 3.3,
+  dispirit: 1.8,
+  displace: 2.6,
+  displays: 3.1,
+  disposal: 3.7,
+  disposed: 3.2,
+  disposes: 2.1,
+  disprove: 2.8,
+  disputed: 2.4,
+  disputes: 2.7,
+  disquiet: 1.9,
+  disrobed: 2,
+  disrupts: 2.4,
+  dissects: 1.6,
+  dissolve: 3.3,
+  dissuade: 2.7,
+  distance: 4.4,
+  distaste: 2.4,
+  distinct: 3.5,
+  distorts: 2.3,
+  distract: 3.7,
+  distress: 3.9,
+  district: 4.3,
+  distrust: 2.9,
+  disturbs: 3,
+  ditching: 2.9,
+  diuretic: 2.2,
+  diverged: 2.3,
+  diverges: 1.3,
+  diverted: 2.9,
+  divested: 1.8,
+  dividend: 2.6,
+  dividers: 1.6,
+  dividing: 3.1,
+  divinely: 2.8,
+  divining: 2.2,
+  divinity: 2.9,
+  division: 4.3,
+  divisive: 2.1,
+  divisors: 1.3,
+  divorced: 4.2,
+  divorces: 3,
+  divulged: 2.1,
+  divulges: 1.3,
+  divvying: 1.6,
+  dizzying: 2.1,
+  docility: 1.3,
+  dockyard: 1.9,
+  doctoral: 2.6,
+  doctored: 2.7,
+  doctrine: 2.9,
+  document: 4,
+  dogfight: 2.2,
+  doggedly: 1.8,
+  doggerel: 1.9,
+  doghouse: 3,
+  dogmatic: 2.3,
+  dogwoods: 1.6,
+  doldrums: 2,
+  dolphins: 3.6,
+  domestic: 3.8,
+  domicile: 2.5,
+  dominant: 3.2,
+  dominate: 3.3,
+  domineer: 1.6,
+  dominion: 3.1,
+  dominoes: 2.9,
+  donating: 3.1,
+  donation: 3.5,
+  doodlers: 1.6,
+  doodling: 2.5,
+  doomsday: 2.9,
+  doorbell: 3.9,
+  doorknob: 3.2,
+  doormats: 1.8,
+  doorstep: 3.5,
+  doorways: 2.9,
+  dorkiest: 1.6,
+  dormancy: 1.3,
+  dormouse: 2,
+  dossiers: 2.5,
+  doubling: 3,
+  doubloon: 2.1,
+  doubters: 2,
+  doubtful: 3.2,
+  doubting: 3.1,
+  doughnut: 3.6,
+  dovetail: 1.9,
+  dowagers: 1.8,
+  downbeat: 2.4,
+  downcast: 2.1,
+  downfall: 3.1,
+  downhill: 3.4,
+  download: 3.5,
+  downplay: 2.2,
+  downpour: 1.8,
+  downsize: 2.2,
+  downtime: 2.6,
+  downtown: 4.3,
+  downturn: 1.9,
+  downward: 3.1,
+  downwind: 2.7,
+  doxology: 1.3,
+  drachmas: 1.6,
+  draftees: 2.3,
+  drafting: 2.6,
+  dragging: 3.8,
+  dragoons: 2.1,
+  drainage: 3,
+  draining: 3.1,
+  dramatic: 4,
+  drawback: 2.8,
+  drawings: 3.7,
+  drawling: 1.3,
+  dreadful: 3.9,
+  dreading: 2.8,
+  dreamers: 3,
+  dreamily: 1.6,
+  dreaming: 4.3,
+  dredgers: 1.3,
+  dredging: 2.5,
+  drenched: 2.9,
+  dressers: 2.1,
+  dressier: 1.3,
+  dressing: 4.2,
+  dribbled: 2.1,
+  dribbler: 1.6,
+  dribbles: 2.5,
+  drifters: 2.6,
+  drifting: 3.5,
+  drilling: 3.4,
+  drinkers: 2.9,
+  drinking: 4.7,
+  dripping: 3.5,
+  driveway: 3.8,
+  drizzled: 2.1,
+  drizzles: 1.6,
+  drollery: 1.8,
+  drollest: 1.3,
+  drooling: 3.4,
+  drooping: 2.1,
+  droplets: 2.2,
+  dropouts: 2.1,
+  dropping: 4.2,
+  droughts: 2.1,
+  drowning: 3.9,
+  drowsier: 1.6,
+  drowsily: 1.3,
+  drowsing: 1.3,
+  drubbing: 1.6,
+  drudgery: 2.2,
+  drudging: 1.3,
+  drugging: 2.5,
+  druggist: 2.7,
+  drummers: 2.6,
+  drumming: 3,
+  drunkard: 3.1,
+  drunkest: 1.6,
+  duckling: 2.9,
+  ductless: 1.9,
+  dulcimer: 2,
+  dullards: 1.8,
+  dullness: 2.1,
+  dumbbell: 2.7,
+  dumbness: 2.1,
+  dumpling: 2.9,
+  dumpster: 3.6,
+  dungaree: 1.8,
+  dungeons: 2.9,
+  duodenal: 1.6,
+  duodenum: 2.4,
+  duration: 3.2,
+  dustpans: 1.6,
+  dutiable: 1.3,
+  dwarfing: 1.6,
+  dwarfish: 1.6,
+  dwarfism: 1.3,
+  dwellers: 2.5,
+  dwelling: 3.1,
+  dwindled: 1.9,
+  dwindles: 1.3,
+  dynamics: 2.9,
+  dynamism: 1.3,
+  dynamite: 4,
+  dynastic: 1.3,
+  dyslexia: 2.4,
+  dyslexic: 2.5,
+  earaches: 1.6,
+  eardrums: 2.7,
+  earliest: 3.4,
+  earlobes: 2.5,
+  earmarks: 2.2,
+  earmuffs: 2.5,
+  earnings: 3,
+  earphone: 2.1,
+  earplugs: 2.9,
+  earrings: 3.8,
+  easiness: 1.3,
+  easterly: 2.1,
+  eastward: 2.1,
+  eatables: 1.9,
+  eateries: 1.8,
+  echelons: 1.9,
+  eclectic: 2.6,
+  eclipsed: 2.2,
+  eclipses: 2.2,
+  economic: 3.7,
+  ecstatic: 3.1,
+  edgewise: 2.5,
+  edginess: 1.3,
+  edifices: 1.3,
+  edifying: 2,
+  editions: 3,
+  educated: 3.7,
+  educates: 1.8,
+  educator: 2.7,
+  effected: 2.5,
+  efficacy: 2.5,
+  effigies: 1.8,
+  effluent: 1.9,
+  effusion: 2.5,
+  effusive: 2.1,
+  eggheads: 2.6,
+  eggplant: 3,
+  eggshell: 2.7,
+  egoistic: 1.3,
+  eighteen: 3.8,
+  eighties: 2.7,
+  ejecting: 2.4,
+  ejection: 2.8,
+  elbowing: 2.1,
+  electing: 2.2,
+  election: 4,
+  elective: 3,
+  electors: 1.3,
+  electric: 4.2,
+  electron: 2.9,
+  elegance: 3.1,
+  elements: 3.8,
+  elephant: 4.1,
+  elevated: 3.4,
+  elevates: 2.2,
+  elevator: 4.4,
+  eleventh: 2.8,
+  elicited: 1.6,
+  eligible: 3.5,
+  ellipsis: 2.2,
+  elliptic: 1.3,
+  elongate: 1.3,
+  eloquent: 3,
+  emailing: 1.6,
+  emanated: 2.2,
+  emanates: 2.1,
+  embalmed: 2.6,
+  embalmer: 2.5,
+  embarked: 2.7,
+  embedded: 3.2,
+  embezzle: 2.2,
+  embitter: 1.6,
+  embodied: 2.3,
+  embodies: 2.4,
+  embolden: 1.3,
+  embolism: 2.8,
+  embossed: 2.3,
+  embraced: 3.1,
+  embraces: 2.8,
+  emceeing: 2,
+  emeralds: 2.9,
+  emergent: 2.5,
+  emerging: 3.1,
+  emeritus: 2.2,
+  emigrate: 2.4,
+  eminence: 3.3,
+  emirates: 1.3,
+  emissary: 3,
+  emission: 2.7,
+  emitting: 2.4,
+  emotions: 4,
+  emperors: 2.7,
+  emphasis: 3.1,
+  emphatic: 2.5,
+  employed: 3.6,
+  employee: 4.1,
+  employer: 3.7,
+  emporium: 2.9,
+  empowers: 1.9,
+  emptiest: 1.6,
+  emptying: 2.8,
+  emulated: 1.3,
+  emulsify: 1.6,
+  emulsion: 2.2,
+  enabling: 2.6,
+  enacting: 1.6,
+  enameled: 1.6,
+  enamored: 2.5,
+  encamped: 2.1,
+  encasing: 1.8,
+  enchants: 1.9,
+  encircle: 2.1,
+  enclaves: 1.3,
+  enclosed: 3.2,
+  encloses: 1.8,
+  encoding: 2.1,
+  encoring: 1.3,
+  encroach: 1.8,
+  endanger: 3.2,
+  endeared: 1.8,
+  endeavor: 3.2,
+  endorsed: 2.7,
+  endorses: 2.1,
+  endowing: 1.6,
+  enduring: 3,
+  energies: 3,
+  energize: 2.6,
+  enfolded: 1.6,
+  enforced: 2.9,
+  enforcer: 2.8,
+  enforces: 1.8,
+  engaging: 3.3,
+  engender: 2.1,
+  engineer: 4.1,
+  engorged: 2.5,
+  engraved: 3.2,
+  engraver: 2.3,
+  engraves: 1.3,
+  engulfed: 2.4,
+  enhanced: 3,
+  enhancer: 2.2,
+  enhances: 2.5,
+  enjoined: 2,
+  enjoying: 4.2,
+  enlarged: 3,
+  enlarger: 2.1,
+  enlarges: 1.6,
+  enlisted: 3.5,
+  enlivens: 1.3,
+  enmeshed: 1.6,
+  ennobled: 2,
+  ennobles: 1.3,
+  enormity: 2.4,
+  enormous: 4,
+  enraging: 1.6,
+  enriched: 2.6,
+  enriches: 1.6,
+  enrolled: 3,
+  ensemble: 3,
+  enshrine: 1.6,
+  enshroud: 1.3,
+  enslaved: 2.9,
+  enslaves: 1.6,
+  ensnared: 1.6,
+  ensnares: 1.3,
+  ensuring: 2.7,
+  entailed: 2.1,
+  entangle: 2.1,
+  entering: 4.1,
+  enthused: 2.4,
+  enthuses: 1.3,
+  enticing: 2.7,
+  entirely: 4.3,
+  entirety: 2.7,
+  entities: 2.8,
+  entitled: 4.1,
+  entitles: 2.7,
+  entombed: 2.4,
+  entrails: 2.9,
+  entrance: 4.2,
+  entrants: 1.6,
+  entreats: 1.8,
+  entreaty: 1.6,
+  entrusts: 1.8,
+  entryway: 2.2,
+  entwined: 2.6,
+  envelope: 4,
+  envelops: 1.9,
+  enviable: 2.3,
+  environs: 2.3,
+  envisage: 1.3,
+  envision: 2.7,
+  epaulets: 2.5,
+  epicures: 1.6,
+  epidemic: 3.5,
+  epigrams: 1.3,
+  epilepsy: 3,
+  epilogue: 2.1,
+  episodes: 3.3,
+  episodic: 1.3,
+  epistles: 1.3,
+  epitaphs: 1.6,
+  epithets: 2.1,
+  equality: 3.3,
+  equalize: 2.3,
+  equating: 1.8,
+  equation: 3.5,
+  equipped: 3.6,
+  equities: 1.8,
+  erasures: 1.9,
+  erectile: 2.7,
+  erecting: 2,
+  erection: 3.3,
+  erupting: 2.4,
+  eruption: 2.6,
+  escalate: 2.8,
+  escapade: 2.5,
+  escapees: 2.1,
+  escaping: 3.5,
+  escapism: 2,
+  escapist: 2.1,
+  escarole: 1.6,
+  eschewed: 1.3,
+  escorted: 3.2,
+  esophagi: 1.3,
+  esoteric: 2.6,
+  especial: 2.1,
+  espoused: 1.6,
+  espouses: 1.3,
+  espresso: 3.3,
+  essences: 2.1,
+  esteemed: 3.2,
+  estimate: 3.7,
+  estrange: 1.6,
+  estrogen: 2.7,
+  etchings: 2.3,
+  eternity: 3.9,
+  ethereal: 2.6,
+  etiology: 1.9,
+  eugenics: 1.9,
+  eulogies: 2.4,
+  eulogize: 1.9,
+  euphoria: 2.7,
+  euphoric: 2.6,
+  evacuate: 3.7,
+  evacuees: 2,
+  evaluate: 3.2,
+  evasions: 2.1,
+  evenings: 3.4,
+  eventful: 2.5,
+  eventide: 1.3,
+  eventual: 2.6,
+  evermore: 2.8,
+  everyday: 4,
+  everyone: 5.4,
+  evicting: 2.4,
+  eviction: 2.9,
+  evidence: 4.9,
+  evildoer: 1.8,
+  evincing: 1.6,
+  evolving: 3.1,
+  exacting: 2.7,
+  exalting: 2.2,
+  examined: 3.7,
+  examiner: 3.4,
+  examines: 2.5,
+  examples: 3.3,
+  excavate: 2.3,
+  exceeded: 3.1,
+  excelled: 2.6,
+  excepted: 2.4,
+  excerpts: 2.3,
+  excesses: 2.5,
+  exchange: 4.3,
+  excising: 1.6,
+  excision: 1.3,
+  exciting: 4.5,
+  exclaims: 1.9,
+  excluded: 3.1,
+  excludes: 2.4,
+  excreted: 1.9,
+  excretes: 1.9,
+  excusing: 2.6,
+  execrate: 1.3,
+  executed: 3.9,
+  executes: 2.1,
+  executor: 2.8,
+  exemplar: 2.2,
+  exempted: 2.2,
+  exercise: 4.2,
+  exerting: 2.1,
+  exertion: 2.5,
+  exhaling: 2.2,
+  exhausts: 2.1,
+  exhibits: 3.1,
+  exhuming: 2,
+  existent: 1.8,
+  existing: 3.3,
+  exorcise: 2.6,
+  exorcism: 3.3,
+  exorcist: 3,
+  expanded: 3,
+  expected: 4.5,
+  expedite: 2.8,
+  expelled: 3.7,
+  expended: 2.4,
+  expenses: 3.9,
+  expertly: 2.3,
+  expiated: 1.3,
+  expiring: 2.1,
+  explains: 4,
+  explicit: 3.1,
+  exploded: 3.6,
+  explodes: 3.4,
+  exploits: 3,
+  explored: 3.1,
+  explorer: 3.3,
+  explores: 2.3,
+  exponent: 1.9,
+  exported: 1.8,
+  exporter: 1.9,
+  exposing: 3.3,
+  exposure: 3.8,
+  expunged: 2.6,
+  extended: 3.6,
+  exterior: 3.4,
+  external: 3.4,
+  extolled: 1.6,
+  extorted: 2.3,
+  extracts: 2.2,
+  extremes: 2.8,
+  extruded: 1.3,
+  exultant: 1.3,
+  exulting: 1.3,
+  eyeballs: 3.5,
+  eyebrows: 3.5,
+  eyeglass: 1.8,
+  eyeliner: 3,
+  eyepiece: 1.6,
+  eyesight: 3.3,
+  eyesores: 1.8,
+  eyeteeth: 2.2,
+  eyetooth: 1.6,
+  fabulous: 4.3,
+  faceless: 2.9,
+  facially: 1.6,
+  facility: 4.2,
+  factions: 2.8,
+  factored: 2.5,
+  factotum: 2.1,
+  failings: 2.5,
+  failures: 3.2,
+  faintest: 3.1,
+  fainting: 3.1,
+  fairness: 3.3,
+  fairways: 1.6,
+  faithful: 4,
+  falconer: 1.9,
+  falconry: 1.6,
+  fallible: 2.4,
+  fallowed: 1.3,
+  falsetto: 2.5,
+  faltered: 2.1,
+  familial: 2.4,
+  familiar: 4.5,
+  families: 4.3,
+  famished: 3.2,
+  famously: 2.8,
+  fanatics: 3,
+  fanciest: 2.2,
+  fanciful: 2.7,
+  fancying: 2.2,
+  fanfares: 1.3,
+  farcical: 2.1,
+  farewell: 4,
+  farmhand: 1.8,
+  farmland: 2.6,
+  farmyard: 2.3,
+  farthest: 2.9,
+  farthing: 2.4,
+  fascists: 2.8,
+  fashions: 2.9,
+  fastened: 3.1,
+  fastener: 1.3,
+  fatalism: 1.9,
+  fatalist: 1.8,
+  fatality: 3,
+  fatheads: 2,
+  fathered: 2.7,
+  fatherly: 2.8,
+  fathomed: 1.6,
+  fatigued: 2.7,
+  fatigues: 2.6,
+  fattened: 1.8,
+  faulting: 1.3,
+  favoring: 2.6,
+  favorite: 4.8,
+  fearless: 3.5,
+  fearsome: 2.9,
+  feasible: 2.8,
+  feasting: 2.6,
+  feathers: 3.8,
+  feathery: 2.3,
+  featured: 3.1,
+  features: 3.7,
+  feckless: 2,
+  federals: 2.1,
+  feeblest: 1.3,
+  feedback: 3.4,
+  feedings: 2.3,
+  feelings: 4.8,
+  feigning: 2.2,
+  feinting: 1.3,
+  feldspar: 2.1,
+  felicity: 4.2,
+  fellatio: 2.8,
+  felonies: 2.8,
+  feminine: 3.7,
+  feminism: 2.5,
+  feminist: 3.3,
+  ferments: 1.6,
+  ferocity: 2.3,
+  fervency: 1.3,
+  festered: 1.6,
+  festival: 4,
+  festoons: 1.3,
+  fetching: 3.1,
+  fetishes: 2.3,
+  fetlocks: 1.8,
+  fettered: 1.3,
+  feverish: 2.8,
+  fictions: 1.8,
+  fiddlers: 1.9,
+  fiddling: 2.9,
+  fidelity: 3.3,
+  fielders: 1.8,
+  fielding: 3.3,
+  fiendish: 2.8,
+  fiercely: 3,
+  fiercest: 2.4,
+  fifteens: 1.3,
+  fiftieth: 2.1,
+  fighters: 3.9,
+  fighting: 4.9,
+  figments: 2.1,
+  figurine: 2.4,
+  figuring: 3.8,
+  filament: 2.5,
+  filberts: 1.6,
+  filigree: 2,
+  filleted: 1.9,
+  fillings: 2.8,
+  filtered: 2.8,
+  filthier: 2.4,
+  finagled: 1.8,
+  finalist: 2.7,
+  finality: 2.6,
+  finalize: 2.7,
+  financed: 3,
+  finances: 3.2,
+  findings: 3.4,
+  fineness: 1.3,
+  finessed: 1.3,
+  fingered: 2.9,
+  finished: 4.9,
+  finisher: 2.2,
+  finishes: 3.6,
+  firearms: 3.5,
+  fireball: 3.2,
+  firebomb: 1.9,
+  firebugs: 1.6,
+  fireplug: 2.3,
+  fireside: 2.6,
+  firetrap: 2.2,
+  firewall: 3,
+  firewood: 3.2,
+  firework: 2.2,
+  firmness: 2.4,
+  firmware: 1.8,
+  fiscally: 1.9,
+  fishbowl: 2.2,
+  fishhook: 1.6,
+  fishiest: 1.3,
+  fishnets: 2.2,
+  fishtail: 1.6,
+  fishwife: 2.1,
+  fissures: 2.2,
+  fistfuls: 1.8,
+  fitfully: 1.3,
+  fittings: 2.6,
+  fixating: 2.4,
+  fixation: 2.8,
+  fixtures: 3.1,
+  flagging: 2.2,
+  flagpole: 2.9,
+  flagrant: 2.8,
+  flagship: 3,
+  flailing: 2.7,
+  flamenco: 2.5,
+  flamingo: 3.1,
+  flanking: 2.6,
+  flannels: 1.6,
+  flapjack: 2.4,
+  flappers: 1.3,
+  flapping: 3.2,
+  flashers: 1.6,
+  flashgun: 1.3,
+  flashing: 3.5,
+  flatbeds: 1.3,
+  flatcars: 1.9,
+  flatfish: 2,
+  flatfoot: 2.8,
+  flatiron: 2.1,
+  flatness: 1.9,
+  flattens: 2.1,
+  flatters: 2.1,
+  flattery: 3.1,
+  flattest: 1.8,
+  flattops: 1.3,
+  flatware: 2.5,
+  flaunted: 2.3,
+  flavored: 2.7,
+  flawless: 3.2,
+  fleecing: 2.1,
+  fleeting: 3.2,
+  flexible: 3.4,
+  flexibly: 1.3,
+  flickers: 2.3,
+  flicking: 2.6,
+  flimflam: 1.8,
+  flimsier: 1.3,
+  flinched: 2.7,
+  flinches: 1.3,
+  flinging: 2.5,
+  flippant: 2.5,
+  flippers: 2.8,
+  flipping: 3.5,
+  flirting: 3.7,
+  flitting: 2.4,
+  floaters: 2.4,
+  floating: 4,
+  flocking: 2.6,
+  flogging: 2.7,
+  flooding: 3.2,
+  flooring: 2.6,
+  floozies: 2.5,
+  flopping: 2.6,
+  floridly: 1.6,
+  florists: 2.1,
+  flossing: 2.7,
+  flotilla: 1.3,
+  flounces: 1.9,
+  flounder: 2.9,
+  flourish: 2.9,
+  flouting: 1.9,
+  flowered: 2.5,
+  fluently: 2.6,
+  fluffier: 1.8,
+  fluffing: 1.9,
+  fluidity: 1.9,
+  flunkies: 2.4,
+  flunking: 2.9,
+  fluoride: 2.4,
+  fluorine: 2,
+  fluorite: 1.8,
+  flurries: 2.3,
+  flushing: 3.2,
+  flutters: 2.2,
+  fluttery: 2.2,
+  flyovers: 1.8,
+  flypaper: 2.4,
+  flyspeck: 1.9,
+  flywheel: 2.7,
+  focusing: 3.4,
+  fogbound: 1.6,
+  foggiest: 2.4,
+  foghorns: 1.3,
+  foisting: 1.9,
+  folklore: 2.9,
+  follicle: 2.4,
+  followed: 4.5,
+  follower: 2.8,
+  fondling: 2.7,
+  fondness: 2.7,
+  foolscap: 1.3,
+  football: 4.6,
+  footfall: 1.6,
+  foothill: 2,
+  foothold: 2.8,
+  footings: 1.3,
+  footnote: 2.5,
+  footpath: 2.4,
+  footrest: 2,
+  footsies: 2.2,
+  footstep: 2.4,
+  footwear: 2.9,
+  footwork: 3,
+  foragers: 1.9,
+  foraging: 2.4,
+  forbears: 1.9,
+  forceful: 2.9,
+  forcible: 2.2,
+  forcibly: 2.8,
+  forearms: 2.7,
+  forebear: 1.8,
+  forecast: 3.3,
+  foregone: 2.6,
+  forehand: 2,
+  forehead: 3.9,
+  forelegs: 1.6,
+  forelock: 1.6,
+  foremast: 1.3,
+  foremost: 3.2,
+  forensic: 3.6,
+  foreplay: 3.4,
+  foresail: 1.6,
+  foreseen: 2.8,
+  foreskin: 2.5,
+  forested: 1.6,
+  forester: 1.8,
+  forestry: 2.3,
+  foretell: 2.5,
+  foretold: 2.9,
+  forewarn: 1.3,
+  foreword: 2.2,
+  forfeits: 2.1,
+  forgiven: 3.8,
+  forgives: 3.1,
+  forgoing: 1.3,
+  forklift: 3,
+  formally: 3.3,
+  formerly: 3.4,
+  formless: 1.9,
+  formulae: 1.9,
+  formulas: 2.6,
+  forsaken: 3.2,
+  forsakes: 1.8,
+  forsooth: 1.8,
+  forswear: 1.9,
+  forswore: 1.3,
+  forsworn: 1.9,
+  fortieth: 2.1,
+  fortress: 3.5,
+  fortunes: 3.4,
+  forwards: 3.1,
+  fostered: 2.5,
+  foulness: 1.6,
+  founders: 2.9,
+  founding: 3.2,
+  fountain: 3.8,
+  foursome: 2.8,
+  fourteen: 3.8,
+  fourthly: 1.3,
+  foxglove: 1.9,
+  foxholes: 2.6,
+  foxhound: 1.6,
+  foxtrots: 1.6,
+  fractals: 1.9,
+  fraction: 3.3,
+  fracture: 3.7,
+  fragment: 3.3,
+  fragrant: 2.8,
+  franking: 1.6,
+  frazzled: 2.7,
+  frazzles: 1.3,
+  freakier: 1.8,
+  freaking: 4.2,
+  freakish: 2.7,
+  freckled: 2.1,
+  freckles: 3.3,
+  freebase: 2,
+  freebies: 2.7,
+  freedman: 2.9,
+  freedmen: 1.9,
+  freedoms: 2.9,
+  freehand: 1.9,
+  freeways: 2.8,
+  freewill: 2,
+  freezers: 2.5,
+  freezing: 4.1,
+  freights: 1.8,
+  frenetic: 1.8,
+  frenzied: 2.5,
+  frenzies: 1.3,
+  frequent: 3.4,
+  frescoes: 2,
+  freshest: 2.5,
+  freshman: 3.9,
+  freshmen: 3.3,
+  fretting: 2.5,
+  friction: 3.1,
+  friendly: 4.4,
+  frigates: 1.6,
+  frighted: 1.6,
+  frighten: 3.8,
+  fringing: 1.6,
+  frisking: 2.1,
+  fritters: 2.2,
+  frizzing: 1.8,
+  frizzled: 1.3,
+  frontage: 2.3,
+  frontier: 3.5,
+  fronting: 2.8,
+  frosting: 3.1,
+  frothier: 1.3,
+  frothing: 2.4,
+  frowning: 2.7,
+  fructose: 1.8,
+  fruitful: 3,
+  fruitier: 1.3,
+  fruiting: 1.6,
+  fruition: 2.5,
+  frumpier: 1.3,
+  fuchsias: 1.3,
+  fugitive: 3.7,
+  fulcrums: 1.3,
+  fulfills: 2.2,
+  fullback: 2.6,
+  fullness: 2.7,
+  fumbling: 2.5,
+  fumigate: 2.1,
+  function: 4,
+  funerals: 3.5,
+  funereal: 1.3,
+  funneled: 2.2,
+  funniest: 3.5,
+  furbelow: 1.6,
+  furlongs: 2.3,
+  furlough: 2.8,
+  furnaces: 2.6,
+  furriers: 1.6,
+  furrowed: 1.9,
+  furthers: 1.9,
+  furthest: 2.8,
+  fuselage: 3,
+  futilely: 1.8,
+  futility: 2.7,
+  futurity: 1.6,
+  fuzziest: 1.3,
+  gabbling: 1.6,
+  gadabout: 1.6,
+  gadflies: 1.3,
+  gadgetry: 1.8,
+  galactic: 3,
+  galaxies: 3,
+  gallants: 2.1,
+  galleons: 2.1,
+  galloped: 1.6,
+  galoshes: 2.8,
+  galvanic: 2,
+  gamblers: 3.2,
+  gambling: 4.2,
+  gamboled: 1.3,
+  gangland: 2.7,
+  ganglion: 1.9,
+  gangrene: 3,
+  gangster: 3.7,
+  gangways: 1.3,
+  garbanzo: 1.9,
+  garbling: 1.3,
+  gardened: 1.3,
+  gardener: 3.6,
+  gardenia: 2.3,
+  gargling: 2.2,
+  gargoyle: 2.7,
+  garishly: 1.3,
+  garlands: 2.3,
+  garlicky: 1.6,
+  garments: 2.9,
+  garnered: 1.6,
+  garrison: 3.7,
+  gaslight: 2.5,
+  gasoline: 3.8,
+  gasworks: 2.1,
+  gateways: 2.2,
+  gathered: 4,
+  gatherer: 1.6,
+  gauntlet: 2.9,
+  gazelles: 2.5,
+  gazettes: 1.3,
+  gazpacho: 2.3,
+  geldings: 1.6,
+  gemstone: 1.8,
+  gendarme: 2.5,
+  generals: 3.6,
+  generate: 3.4,
+  generics: 1.3,
+  generous: 4.2,
+  genetics: 3.2,
+  genitals: 3.1,
+  geniuses: 3.3,
+  genocide: 3.1,
+  gentiles: 2.2,
+  gentlest: 2.2,
+  gentrify: 1.3,
+  geodesic: 1.8,
+  geologic: 1.8,
+  geometry: 3.3,
+  geranium: 2.2,
+  germinal: 1.6,
+  gestated: 1.3,
+  gestates: 1.3,
+  gestured: 1.8,
+  gestures: 3.3,
+  getaways: 2.1,
+  gherkins: 2,
+  ghosting: 1.9,
+  ghoulish: 2.4,
+  giantess: 1.8,
+  gigabyte: 1.3,
+  gigantic: 3.6,
+  gigglers: 1.3,
+  giggling: 3.6,
+  gimcrack: 1.3,
+  gimmicks: 2.7,
+  gimmicky: 1.9,
+  gingerly: 1.3,
+  giraffes: 2.8,
+  girlhood: 1.8,
+  giveaway: 2.9,
+  gizzards: 2.1,
+  glaciers: 2.2,
+  gladiola: 1.3,
+  gladioli: 1.8,
+  gladness: 2.5,
+  glancing: 2.6,
+  glassful: 1.8,
+  glaucoma: 2.8,
+  gleaming: 2.8,
+  gleaning: 1.8,
+  glibness: 1.8,
+  glimmers: 1.9,
+  glimpsed: 2.4,
+  glimpses: 2.5,
+  glinting: 1.8,
+  glistens: 1.8,
+  glitches: 2.7,
+  glitters: 2.6,
+  glittery: 2.1,
+  gloaming: 1.9,
+  gloating: 2.9,
+  globally: 2.3,
+  globular: 2.1,
+  globules: 2.1,
+  glorious: 4,
+  glorying: 1.3,
+  glossary: 1.6,
+  glossier: 1.3,
+  glossies: 1.3,
+  glossing: 2,
+  glowworm: 1.6,
+  gluttons: 2.1,
+  gluttony: 2.5,
+  glycerin: 2.1,
+  glycerol: 1.6,
+  glycogen: 1.3,
+  gnarlier: 1.3,
+  gnashing: 2.1,
+  goalpost: 2.4,
+  goatherd: 2.2,
+  goatskin: 1.8,
+  gobblers: 1.6,
+  gobbling: 2.7,
+  godchild: 1.6,
+  goggling: 1.8,
+  goldfish: 3.5,
+  gondolas: 2,
+  goodbyes: 3.2,
+  goodness: 4.5,
+  goodwill: 3.5,
+  goofiest: 1.3,
+  googling: 2,
+  gorgeous: 4.4,
+  gorillas: 3.4,
+  goslings: 1.3,
+  gossamer: 2.7,
+  gossiped: 2,
+  gourmets: 1.9,
+  governed: 3,
+  governor: 4.4,
+  grabbing: 3.6,
+  graceful: 3.4,
+  gracious: 3.9,
+  gradient: 2.2,
+  graduate: 4.1,
+  graffiti: 3.3,
+  graffito: 2.1,
+  grafters: 2,
+  grafting: 2.2,
+  grammars: 1.6,
+  granddad: 3.3,
+  grandest: 2.6,
+  grandeur: 2.9,
+  grandmas: 2.6,
+  grandpas: 2,
+  grandson: 3.9,
+  grannies: 2.2,
+  granting: 3,
+  granular: 1.6,
+  granules: 1.6,
+  graphics: 3.2,
+  graphing: 2,
+  graphite: 2.6,
+  grapnels: 1.3,
+  grappled: 1.8,
+  grapples: 1.9,
+  grasping: 2.9,
+  grassing: 1.3,
+  grateful: 4.4,
+  gratings: 1.3,
+  gratuity: 2.5,
+  gravelly: 1.3,
+  grayness: 1.3,
+  greasier: 1.9,
+  greasing: 2.2,
+  greatest: 4.7,
+  greedier: 2,
+  greedily: 1.6,
+  greenery: 2.1,
+  greenest: 2.2,
+  greening: 2.3,
+  greenish: 2.2,
+  greeting: 3.5,
+  gremlins: 2.7,
+  grenades: 3.4,
+  griddles: 1.3,
+  gridiron: 1.8,
+  gridlock: 2.4,
+  grieving: 3.4,
+  grievous: 3,
+  griffins: 2.5,
+  grilling: 2.8,
+  grimaced: 1.3,
+  grimaces: 1.6,
+  grinders: 1.8,
+  grinding: 3.3,
+  grinning: 3.2,
+  gripping: 2.7,
+  grittier: 1.6,
+  gritting: 1.6,
+  grizzled: 2,
+  groaning: 3.6,
+  groggily: 1.3,
+  grommets: 1.8,
+  grooming: 3.1,
+  groovier: 1.3,
+  grooving: 2.5,
+  grosbeak: 1.8,
+  grossest: 2.3,
+  grossing: 2.3,
+  grottoes: 1.8,
+  grounded: 3.9,
+  grounder: 1.8,
+  groupies: 2.9,
+  grouping: 2.6,
+  grousing: 2.2,
+  grouting: 1.3,
+  groveled: 1.8,
+  growling: 3.7,
+  grownups: 3.2,
+  grubbing: 2.4,
+  grudging: 2,
+  grueling: 2.8,
+  gruesome: 3.3,
+  gruffest: 1.3,
+  grumbled: 1.6,
+  grumbler: 1.6,
+  grumbles: 2.1,
+  grunting: 3.7,
+  guaranty: 1.8,
+  guardian: 3.8,
+  guarding: 3.6,
+  guessing: 4,
+  guesting: 1.3,
+  guidance: 3.9,
+  guilders: 2.5,
+  guiltier: 2.3,
+  gullible: 3.1,
+  gumdrops: 2.3,
+  gumption: 2.7,
+  gunboats: 2.3,
+  gunfight: 3.1,
+  gunpoint: 3,
+  gunshots: 3.6,
+  gunsmith: 2.5,
+  gunwales: 1.6,
+  gurgling: 2.7,
+  gusseted: 1.3,
+  gutsiest: 1.6,
+  guttural: 2.2,
+  guzzlers: 1.3,
+  guzzling: 2.5,
+  gymnasts: 2.3,
+  gyrating: 2.2,
+  gyration: 1.3,
+  habitats: 2.3,
+  habitual: 2.7,
+  hacienda: 2.8,
+  hacksaws: 1.3,
+  haggling: 2.6,
+  haircuts: 3,
+  hairiest: 2.1,
+  hairless: 2.8,
+  hairline: 3.1,
+  hairnets: 2.1,
+  hairpins: 2.6,
+  halfback: 2.7,
+  halftime: 3.1,
+  hallmark: 3.1,
+  hallowed: 3.4,
+  hallways: 2.9,
+  halogens: 1.3,
+  haltered: 1.6,
+  halyards: 2,
+  hammered: 3.3,
+  hammocks: 2.2,
+  hampered: 2.1,
+  hamsters: 2.6,
+  handbags: 2.9,
+  handball: 2.7,
+  handbill: 2.3,
+  handbook: 3,
+  handcart: 1.9,
+  handcuff: 3,
+  handfuls: 2.3,
+  handguns: 2.6,
+  handheld: 2.6,
+  handicap: 3.4,
+  handiest: 1.6,
+  handlers: 2.8,
+  handling: 4.1,
+  handmade: 3,
+  handmaid: 2,
+  handouts: 2.8,
+  handpick: 2,
+  handrail: 2.1,
+  handsets: 1.3,
+  handsome: 4.5,
+  handwork: 1.3,
+  handyman: 3.3,
+  handymen: 2,
+  hangings: 2.5,
+  hangnail: 2.5,
+  hangouts: 2.3,
+  hangover: 3.6,
+  hankered: 1.6,
+  happened: 5.7,
+  happiest: 3.8,
+  harangue: 1.9,
+  harassed: 3.2,
+  harasses: 2.1,
+  harbored: 2.5,
+  hardback: 1.9,
+  hardball: 3,
+  hardened: 3.1,
+  hardiest: 1.3,
+  hardness: 2.4,
+  hardship: 3.2,
+  hardtack: 2.4,
+  hardware: 3.8,
+  hardwood: 2.8,
+  harelips: 1.3,
+  harmless: 3.9,
+  harmonic: 2.3,
+  harpists: 1.6,
+  harpoons: 2.4,
+  harridan: 2.5,
+  harrying: 1.3,
+  harshest: 2.1,
+  harvests: 2.4,
+  hassling: 2.9,
+  hastened: 2,
+  hatchery: 2.1,
+  hatchets: 1.8,
+  hatching: 2.7,
+  hatchway: 1.9,
+  haunches: 1.8,
+  haunting: 3.3,
+  hawthorn: 2.2,
+  hayseeds: 1.9,
+  haystack: 3.1,
+  hazarded: 1.3,
+  hazelnut: 2.2,
+  headache: 4.1,
+  headband: 2.6,
+  headgear: 2.5,
+  headings: 1.9,
+  headland: 2.1,
+  headless: 3.1,
+  headline: 3.4,
+  headlock: 2.6,
+  headlong: 2.6,
+  headrest: 2.1,
+  headroom: 1.8,
+  headsets: 2.6,
+  headwind: 2.1,
+  hearings: 3.1,
+  hearkens: 1.3,
+  heartier: 1.6,
+  hearties: 2.4,
+  heartily: 2.9,
+  heatedly: 1.3,
+  heathens: 3,
+  heavenly: 3.7,
+  heaviest: 2.8,
+  heavyset: 2.3,
+  hecklers: 1.8,
+  heckling: 2.6,
+  hectares: 1.8,
+  hedgehog: 2.5,
+  hedgerow: 1.8,
+  hedonism: 2,
+  hedonist: 1.6,
+  heedless: 1.8,
+  hegemony: 1.9,
+  heighten: 2.2,
+  heirloom: 2.9,
+  heisting: 1.6,
+  heliport: 2.6,
+  hellhole: 3.2,
+  hellions: 1.8,
+  helmsman: 2.7,
+  helpings: 2.3,
+  helpless: 4,
+  helpline: 1.3,
+  helpmate: 2,
+  hemlines: 2.2,
+  hemlocks: 1.8,
+  henchman: 2.5,
+  henchmen: 2.7,
+  henpecks: 1.3,
+  heralded: 1.9,
+  heraldry: 1.3,
+  herdsman: 1.3,
+  heredity: 2.4,
+  heresies: 1.6,
+  heretics: 2.5,
+  herewith: 2.5,
+  heritage: 3.4,
+  hermetic: 1.6,
+  herrings: 2.3,
+  hesitant: 2.6,
+  hesitate: 3.7,
+  hibachis: 1.3,
+  hibiscus: 2,
+  hiccuped: 1.3,
+  hideaway: 3,
+  hideouts: 2.1,
+  highball: 2.8,
+  highborn: 2,
+  highbrow: 2.5,
+  highland: 3.2,
+  highness: 4.2,
+  hightail: 2.7,
+  highways: 3.1,
+  hijacked: 3.3,
+  hijacker: 2.7,
+  hilarity: 2.1,
+  hillocks: 1.3,
+  hillside: 3.1,
+  hilltops: 1.8,
+  hindered: 2.4,
+  hindmost: 1.8,
+  hireling: 1.8,
+  historic: 3.6,
+  hitching: 2.8,
+  hitherto: 2.1,
+  hoarders: 1.3,
+  hoarding: 2.8,
+  hoarsely: 1.8,
+  hobbling: 2.4,
+  hobbyist: 1.9,
+  hockshop: 1.9,
+  hoedowns: 1.6,
+  hogshead: 1.3,
+  hoisting: 2.2,
+  holdings: 3.2,
+  holdouts: 1.6,
+  holdover: 2,
+  holidays: 4,
+  holiness: 3.5,
+  holistic: 2.6,
+  hollered: 2.8,
+  hollowed: 2.4,
+  hologram: 2.8,
+  holsters: 2.2,
+  homebody: 2.2,
+  homeboys: 2.7,
+  homeland: 3.7,
+  homeless: 4,
+  homemade: 3.5,
+  homepage: 1.8,
+  homeroom: 3.1,
+  homesick: 3.4,
+  homespun: 2.3,
+  hometown: 3.6,
+  homeward: 2.9,
+  homework: 4.3,
+  homicide: 4.2,
+  homilies: 1.3,
+  honestly: 4.4,
+  honeybee: 2.3,
+  honeydew: 2.4,
+  honorary: 3.2,
+  honoring: 3.2,
+  hoodlums: 3.1,
+  hoodooed: 1.3,
+  hoodwink: 2.2,
+  hookworm: 1.8,
+  hooligan: 2.9,
+  hopefuls: 2.1,
+  hopeless: 4,
+  horizons: 3.1,
+  hormonal: 2.9,
+  hormones: 3.6,
+  horniest: 1.8,
+  hornless: 1.3,
+  hornpipe: 1.9,
+  horrible: 4.6,
+  horribly: 3.4,
+  horrific: 3.1,
+  horsefly: 2,
+  horseman: 3.1,
+  horsemen: 3,
+  hosannas: 1.3,
+  hospital: 5.1,
+  hostages: 4,
+  hostelry: 1.3,
+  hostiles: 3.1,
+  hostlers: 1.3,
+  hotcakes: 2.7,
+  hotelier: 1.3,
+  hotheads: 2.3,
+  hothouse: 2.5,
+  hotshots: 2.6,
+  hounding: 2.9,
+  housefly: 2.2,
+  housetop: 1.3,
+  housings: 1.3,
+  hovering: 3.3,
+  howitzer: 2.5,
+  huckster: 1.8,
+  huddling: 1.8,
+  hugeness: 1.9,
+  humanely: 2.5,
+  humanism: 1.8,
+  humanist: 1.9,
+  humanity: 4,
+  humanize: 2.2,
+  humanoid: 2.9,
+  humblest: 2.2,
+  humbling: 2.4,
+  humidity: 3.1,
+  humidors: 1.3,
+  humility: 3.4,
+  humoring: 2.5,
+  humorist: 1.6,
+  humorous: 3.2,
+  humpback: 2.6,
+  hunching: 1.8,
+  hundreds: 4.3,
+  hungered: 2,
+  hungover: 2.5,
+  hungrier: 2.4,
+  hungrily: 1.8,
+  hunkered: 2,
+  huntress: 2.6,
+  huntsman: 1.9,
+  huntsmen: 1.8,
+  hurdling: 2.1,
+  hurrying: 3.2,
+  hurtling: 2.7,
+  husbands: 3.9,
+  hustings: 2.1,
+  hustlers: 2.7,
+  hustling: 3.2,
+  hyacinth: 2.6,
+  hydrants: 2.1,
+  hydrated: 2.5,
+  hydrates: 2,
+  hydrogen: 3.4,
+  hygienic: 2.7,
+  hypnosis: 3.3,
+  hypnotic: 3.1,
+  hysteria: 3.4,
+  hysteric: 2.2,
+  icebergs: 2.6,
+  icebound: 1.6,
+  iceboxes: 1.6,
+  idealism: 2.8,
+  idealist: 2.8,
+  idealize: 2.1,
+  identify: 4.2,
+  identity: 4.1,
+  ideogram: 2.1,
+  ideology: 2.8,
+  idleness: 2.2,
+  idolater: 1.8,
+  idolatry: 2.1,
+  idolized: 2.6,
+  idolizes: 1.9,
+  igniting: 2.3,
+  ignition: 3.6,
+  ignominy: 1.8,
+  ignorant: 3.8,
+  ignoring: 3.6,
+  illegals: 2.7,
+  illusion: 3.9,
+  illusive: 2.1,
+  illusory: 1.6,
+  imagined: 4,
+  imagines: 2.8,
+  imbecile: 3.5,
+  imbibing: 2.1,
+  imitated: 2.4,
+  imitates: 3,
+  imitator: 2.1,
+  immature: 3.5,
+  immersed: 2.7,
+  immerses: 1.3,
+  imminent: 3.4,
+  immobile: 2.7,
+  immodest: 2.5,
+  immolate: 1.9,
+  immortal: 3.7,
+  immunity: 3.6,
+  immunize: 1.6,
+  impacted: 2.7,
+  impaired: 2.9,
+  impaling: 1.6,
+  imparted: 2.3,
+  impeding: 2.4,
+  impelled: 2.1,
+  imperial: 3.4,
+  imperils: 1.3,
+  impetigo: 1.8,
+  impinged: 1.6,
+  impinges: 1.3,
+  impishly: 1.3,
+  implants: 3.4,
+  implicit: 2.5,
+  imploded: 2.3,
+  implodes: 1.6,
+  implored: 2,
+  implying: 3.5,
+  impolite: 3.1,
+  imported: 3.5,
+  importer: 2.4,
+  imposing: 3,
+  impostor: 3.3,
+  impotent: 3.3,
+  impounds: 1.8,
+  imprints: 2.6,
+  imprison: 2.6,
+  improper: 3,
+  improved: 3.7,
+  improves: 2.8,
+  impudent: 2.9,
+  impugned: 2.2,
+  impulsed: 1.3,
+  impulses: 3.3,
+  impunity: 2.5,
+  impurity: 2.1,
+  inaction: 2.1,
+  inactive: 2.8,
+  inasmuch: 2.7,
+  incensed: 2.3,
+  incenses: 1.3,
+  inchoate: 1.8,
+  incident: 4.2,
+  incising: 1.6,
+  incision: 3.4,
+  incisive: 2.2,
+  incisors: 2.2,
+  inciting: 2.7,
+  inclined: 3.5,
+  inclines: 1.3,
+  included: 3.9,
+  includes: 3.7,
+  incoming: 3.8,
+  increase: 3.9,
+  incubate: 2,
+  incurred: 2.7,
+  indebted: 3.1,
+  indecent: 3.3,
+  indented: 1.8,
+  indexing: 2,
+  indicate: 3.9,
+  indicted: 3.3,
+  indigent: 2.7,
+  indirect: 2.6,
+  indolent: 1.9,
+  inducing: 2.5,
+  inducted: 2.4,
+  inductee: 1.8,
+  indulged: 2.7,
+  indulges: 1.9,
+  industry: 4.1,
+  inedible: 2.5,
+  inequity: 2.1,
+  inertial: 2.5,
+  inexpert: 1.3,
+  infamous: 3.3,
+  infantry: 3.5,
+  infected: 3.9,
+  inferior: 3.5,
+  infernal: 3.1,
+  infernos: 1.3,
+  inferred: 2.2,
+  infested: 3,
+  infidels: 2.6,
+  infinite: 3.5,
+  infinity: 3.2,
+  inflamed: 2.8,
+  inflames: 1.9,
+  inflated: 2.7,
+  inflates: 2.1,
+  inflicts: 2.1,
+  informal: 3.2,
+  informed: 4.1,
+  informer: 3.1,
+  infrared: 3.5,
+  infringe: 2.1,
+  infusing: 2,
+  infusion: 2.5,
+  ingested: 2.8,
+  ingrates: 2.5,
+  inhabits: 1.8,
+  inhalers: 2.6,
+  inhaling: 2.8,
+  inherent: 2.8,
+  inherits: 2.6,
+  inhibits: 1.9,
+  inhumane: 2.7,
+  inimical: 1.6,
+  iniquity: 2.7,
+  initials: 3.7,
+  initiate: 3.5,
+  injected: 3.4,
+  injector: 2.5,
+  injuries: 3.9,
+  injuring: 2.4,
+  inkblots: 1.6,
+  inkwells: 1.3,
+  innately: 2,
+  innocent: 4.7,
+  innovate: 1.9,
+  innuendo: 3,
+  inquests: 1.3,
+  inquired: 2.7,
+  inquirer: 1.3,
+  inquires: 1.6,
+  insanely: 3.1,
+  insanity: 3.9,
+  inscribe: 2.2,
+  insecure: 3.6,
+  inserted: 3.1,
+  insiders: 2.2,
+  insights: 3,
+  insignia: 2.9,
+  insisted: 3.9,
+  insolent: 3.1,
+  insomnia: 3.2,
+  inspects: 2,
+  inspired: 3.9,
+  inspires: 3.1,
+  installs: 2.1,
+  instance: 4.2,
+  instants: 1.6,
+  instills: 1.9,
+  instinct: 3.9,
+  instruct: 3.2,
+  insulate: 2.4,
+  insulted: 3.8,
+  insurers: 1.8,
+  insuring: 2.1,
+  intaglio: 1.9,
+  integers: 1.6,
+  integral: 2.9,
+  intended: 4.1,
+  intenser: 1.3,
+  intently: 2.3,
+  interact: 3.2,
+  intercom: 3.3,
+  interest: 4.7,
+  interior: 3.7,
+  internal: 4,
+  interned: 2.5,
+  internet: 3.8,
+  interred: 2.2,
+  interval: 2.9,
+  intimacy: 3.5,
+  intimate: 3.8,
+  intranet: 1.9,
+  intrepid: 2.8,
+  intrigue: 3.2,
+  intruded: 2.5,
+  intruder: 3.6,
+  intrudes: 1.3,
+  intuited: 1.6,
+  invaders: 3.2,
+  invading: 3.2,
+  invalids: 2.4,
+  invasion: 3.9,
+  invasive: 3.1,
+  inveigle: 1.8,
+  invented: 4.2,
+  inventor: 3.4,
+  inverted: 2.9,
+  invested: 3.6,
+  investor: 3.1,
+  inviting: 3.9,
+  invoiced: 1.3,
+  invoices: 2.9,
+  invoking: 2.6,
+  involved: 4.8,
+  involves: 3.7,
+  inwardly: 2.2,
+  ironclad: 2.7,
+  ironical: 2.1,
+  ironwork: 1.8,
+  irrigate: 2.8,
+  irritant: 2.1,
+  irritate: 3,
+  islander: 1.6,
+  isolated: 3.8,
+  isolates: 2.1,
+  isotopes: 2.4,
+  isotopic: 1.8,
+  issuance: 1.8,
+  itemized: 2.4,
+  iterated: 1.3,
+  jabbered: 1.3,
+  jackboot: 1.3,
+  jackpots: 1.8,
+  jalopies: 1.6,
+  jamboree: 2.7,
+  jangling: 2.3,
+  janitors: 2.7,
+  jaundice: 2.4,
+  jauntily: 1.3,
+  javelins: 1.3,
+  jawbones: 1.3,
+  jealousy: 3.8,
+  jeopardy: 3.5,
+  jettison: 2.9,
+  jewelers: 2.6,
+  jiggered: 1.3,
+  jiggling: 2.8,
+  jimmying: 1.8,
+  jingling: 2.9,
+  jingoist: 1.3,
+  jockeyed: 1.6,
+  jodhpurs: 2,
+  jokingly: 2.2,
+  jolliest: 1.6,
+  jostling: 1.8,
+  jottings: 1.3,
+  journals: 3.3,
+  journeys: 2.8,
+  jousting: 2.7,
+  jovially: 1.3,
+  joyfully: 2.2,
+  joyously: 2.2,
+  joyrider: 1.3,
+  joyrides: 1.3,
+  joystick: 2.5,
+  jubilant: 2.2,
+  judgment: 4.2,
+  judicial: 3.1,
+  jugglers: 2.2,
+  juggling: 3.3,
+  jugulars: 1.3,
+  juiciest: 2.1,
+  julienne: 1.8,
+  jumpsuit: 2.8,
+  junction: 3.5,
+  juncture: 2.9,
+  junipers: 1.3,
+  junkyard: 3.4,
+  justices: 2.7,
+  justness: 1.3,
+  juvenile: 3.7,
+  kamikaze: 3.1,
+  kangaroo: 3.4,
+  kayaking: 1.9,
+  keenness: 1.9,
+  keepsake: 2.8,
+  kenneled: 1.6,
+  kerchief: 2.6,
+  kerosene: 3.1,
+  keyboard: 3.3,
+  keyholes: 2.5,
+  keynotes: 1.3,
+  keystone: 2.5,
+  keywords: 2,
+  kibitzer: 1.8,
+  kibitzes: 1.3,
+  kickback: 2.5,
+  kielbasa: 2.4,
+  killings: 3.6,
+  killjoys: 1.3,
+  kilobyte: 1.3,
+  kilogram: 1.8,
+  kilotons: 1.9,
+  kilowatt: 2.1,
+  kindlier: 1.6,
+  kindling: 2.8,
+  kindness: 4,
+  kinfolks: 1.6,
+  kingdoms: 2.9,
+  kingpins: 1.8,
+  kingship: 1.8,
+  kippered: 1.3,
+  kitchens: 2.9,
+  knapsack: 2.8,
+  kneading: 2.2,
+  kneecaps: 2.8,
+  kneeling: 3,
+  knickers: 3.1,
+  knighted: 2.7,
+  knightly: 2.2,
+  knitting: 3.4,
+  knockers: 2.9,
+  knocking: 4.2,
+  knockout: 3.5,
+  knothole: 2.1,
+  knotting: 1.6,
+  knowable: 1.3,
+  knowings: 1.3,
+  knuckled: 1.3,
+  knuckles: 3.5,
+  koshered: 1.3,
+  kowtowed: 1.6,
+  kumquats: 2.8,
+  labeling: 2.4,
+  laborers: 2.7,
+  laboring: 2.5,
+  lacerate: 1.3,
+  lacquers: 1.3,
+  lacrosse: 3,
+  lactated: 1.9,
+  laddered: 1.6,
+  ladybird: 2.1,
+  ladybugs: 2.3,
+  ladylike: 2.9,
+  ladyship: 3,
+  lamasery: 1.9,
+  lambkins: 1.8,
+  lambskin: 1.9,
+  lameness: 2,
+  lamented: 2.3,
+  laminate: 2.3,
+  lamppost: 2.7,
+  landfall: 2.7,
+  landfill: 3.1,
+  landings: 3.1,
+  landlady: 3.3,
+  landline: 2.3,
+  landlord: 3.7,
+  landmark: 3.1,
+  landmass: 1.9,
+  landward: 1.3,
+  language: 4.5,
+  languish: 2.2,
+  lanterns: 2.8,
+  lanyards: 1.6,
+  larboard: 2.6,
+  larkspur: 1.6,
+  lasagnas: 2,
+  lassoing: 1.6,
+  latching: 2,
+  lateness: 2.4,
+  laterals: 1.3,
+  lathered: 2.2,
+  latitude: 3.2,
+  latrines: 2.5,
+  latticed: 1.3,
+  laudable: 2.1,
+  laudanum: 2.7,
+  laughing: 4.7,
+  laughter: 4.1,
+  launched: 3.6,
+  launcher: 2.9,
+  launches: 2.8,
+  launders: 1.8,
+  laureate: 2.1,
+  lavatory: 3,
+  lavender: 3.3,
+  lavished: 2.2,
+  lavishly: 1.6,
+  lawfully: 3,
+  lawgiver: 2.4,
+  lawmaker: 1.8,
+  lawsuits: 3.3,
+  laxative: 2.9,
+  layering: 2.1,
+  laziness: 2.7,
+  leaching: 1.6,
+  leaflets: 2.4,
+  leakages: 1.6,
+  leanings: 2.2,
+  leapfrog: 2.5,
+  learners: 2,
+  learning: 4.3,
+  leathers: 2.4,
+  leathery: 2.2,
+  leavened: 1.6,
+  leavings: 2.3,
+  lecithin: 1.8,
+  lectured: 2.7,
+  lecturer: 2.9,
+  lectures: 3.4,
+  leeching: 2.2,
+  leftists: 1.6,
+  leftover: 3.1,
+  legacies: 2.1,
+  legalese: 2.3,
+  legality: 2.3,
+  legalize: 2.3,
+  legation: 2.9,
+  leggings: 2.4,
+  lemmings: 2.4,
+  lemonade: 3.7,
+  lengthen: 2.4,
+  leniency: 2.6,
+  leopards: 2.9,
+  leotards: 2.4,
+  lesbians: 3.4,
+  lessened: 2.1,
+  letdowns: 1.3,
+  lethally: 1.8,
+  lethargy: 2.1,
+  lettered: 2.1,
+  lettuces: 1.3,
+  leukemia: 3.3,
+  levelers: 1.3,
+  leveling: 2.6,
+  leverage: 3.4,
+  levitate: 2.6,
+  lewdness: 2.3,
+  liaising: 1.3,
+  liaisons: 2.4,
+  libation: 2.1,
+  libeling: 1.3,
+  libelous: 1.8,
+  liberals: 2.8,
+  liberate: 3.1,
+  libretto: 2.2,
+  licensed: 3.4,
+  licensee: 1.3,
+  licenses: 3,
+  lickings: 1.3,
+  licorice: 2.9,
+  lifeboat: 3.1,
+  lifeless: 3.1,
+  lifelike: 2.8,
+  lifeline: 2.9,
+  lifelong: 3.2,
+  lifespan: 2.5,
+  lifetime: 4.3,
+  ligament: 2.7,
+  ligature: 2.9,
+  lightens: 2.1,
+  lighters: 2.4,
+  lightest: 2.3,
+  lighting: 3.8,
+  likelier: 1.3,
+  likeness: 3.3,
+  likening: 1.6,
+  likewise: 3.6,
+  limbless: 1.3,
+  limerick: 2.8,
+  limiting: 2.9,
+  linchpin: 2.2,
+  linesman: 1.3,
+  linesmen: 1.8,
+  lingered: 2.5,
+  lingerie: 3.5,
+  linguist: 2.7,
+  liniment: 2.6,
+  linkages: 1.9,
+  linoleum: 2.7,
+  lipstick: 3.9,
+  liqueurs: 1.6,
+  liquored: 2.6,
+  listened: 4.2,
+  listener: 3.1,
+  listings: 2.7,
+  listless: 2.2,
+  literacy: 2.7,
+  literary: 3.4,
+  literate: 2.5,
+  literati: 1.8,
+  litigant: 1.8,
+  litigate: 1.9,
+  littered: 2.7,
+  littlest: 2.8,
+  livelier: 2.1,
+  livelong: 2.4,
+  livening: 1.9,
+  liveries: 1.6,
+  loathing: 2.7,
+  lobbying: 2.5,
+  lobbyist: 2.6,
+  lobotomy: 3,
+  lobsters: 3.3,
+  locality: 2.1,
+  localize: 1.3,
+  locating: 3.1,
+  location: 4.4,
+  lockouts: 1.3,
+  locoweed: 1.6,
+  lodgings: 2.6,
+  logbooks: 1.8,
+  logistic: 1.6,
+  loiterer: 1.3,
+  lollipop: 3.3,
+  lollygag: 1.8,
+  lonelier: 2.4,
+  lonesome: 3.8,
+  longboat: 2.6,
+  longhair: 1.9,
+  longhorn: 2.5,
+  longings: 2.1,
+  longtime: 2.7,
+  lookouts: 2.7,
+  loophole: 3,
+  loosened: 3,
+  lopsided: 2.6,
+  lordship: 3.5,
+  loudness: 1.6,
+  lounging: 2.6,
+  lousiest: 2.3,
+  louvered: 1.3,
+  lovebird: 2,
+  loveless: 2.7,
+  lovelier: 2.9,
+  lovelies: 2.4,
+  lovelorn: 2.5,
+  lovesick: 2.8,
+  lovingly: 3,
+  lowbrows: 1.8,
+  lowering: 3.1,
+  lowlands: 1.9,
+  lowliest: 2.2,
+  loyalest: 1.3,
+  loyalist: 2.2,
+  lozenges: 2.2,
+  lucidity: 2.4,
+  luckiest: 3.4,
+  luckless: 1.6,
+  lukewarm: 2.7,
+  lumbered: 1.8,
+  luminary: 2,
+  luminous: 2.9,
+  lumpiest: 1.6,
+  lunatics: 3.2,
+  lunchbox: 2.6,
+  luncheon: 3.5,
+  lunching: 2.8,
+  lurching: 1.3,
+  luscious: 3.1,
+  lustrous: 2.5,
+  luxuries: 2.7,
+  lymphoma: 2.7,
+  lynching: 3,
+  lyricist: 2.2,
+  macaroni: 3.5,
+  macaroon: 2,
+  macerate: 1.3,
+  machetes: 2.2,
+  machined: 1.9,
+  machines: 4.1,
+  machismo: 2.1,
+  mackerel: 3.3,
+  mackinaw: 2.5,
+  maddened: 2.1,
+  madhouse: 3.1,
+  madrigal: 2.1,
+  madwoman: 2.6,
+  maestros: 1.6,
+  magazine: 4.5,
+  magician: 3.9,
+  magnates: 1.6,
+  magnesia: 2.4,
+  magnetic: 3.6,
+  magnetos: 1.6,
+  magnolia: 2.8,
+  mahogany: 2.9,
+  maidenly: 1.3,
+  mailings: 1.9,
+  mainland: 3.5,
+  mainline: 2.3,
+  mainmast: 1.6,
+  mainsail: 2.6,
+  mainstay: 2.2,
+  maintain: 4.1,
+  majestic: 3.1,
+  majoring: 2.7,
+  majority: 3.7,
+  maladies: 1.8,
+  malarial: 1.8,
+  malarkey: 2.7,
+  maleness: 1.9,
+  maligned: 1.9,
+  mallards: 1.6,
+  maltreat: 1.6,
+  mammoths: 1.9,
+  manacled: 2.1,
+  manacles: 2,
+  managers: 3.4,
+  managing: 3.5,
+  manatees: 1.6,
+  mandarin: 3.1,
+  mandated: 2.4,
+  mandates: 2,
+  mandible: 2.8,
+  mandolin: 2.7,
+  mandrake: 3,
+  mandrill: 1.3,
+  maneuver: 3.4,
+  manfully: 1.6,
+  mangiest: 1.3,
+  mangling: 1.8,
+  mangrove: 2.2,
+  manholes: 1.8,
+  manhunts: 1.6,
+  maniacal: 2.7,
+  manicure: 3.3,
+  manifest: 3.6,
+  manifold: 2.7,
+  mannered: 2.1,
+  mannerly: 2.1,
+  manpower: 3.3,
+  mansions: 2.8,
+  mantilla: 2,
+  manually: 3.2,
+  manuring: 1.6,
+  marathon: 3.7,
+  marauder: 2.1,
+  marbling: 1.8,
+  marchers: 1.3,
+  marching: 3.8,
+  marginal: 2.7,
+  mariachi: 2.9,
+  marigold: 2.2,
+  marinade: 1.8,
+  marinate: 2.6,
+  mariners: 2.8,
+  maritime: 2.9,
+  markedly: 1.8,
+  marketed: 2.2,
+  marketer: 1.3,
+  markings: 3.3,
+  marksman: 3.2,
+  marksmen: 2.5,
+  marmoset: 1.8,
+  marooned: 2.8,
+  marquees: 1.3,
+  marquess: 1.9,
+  marquise: 2.2,
+  marriage: 4.9,
+  marrieds: 1.9,
+  marrying: 4.2,
+  marshals: 3.1,
+  martinet: 2.2,
+  martinis: 3.5,
+  martyred: 2.5,
+  marveled: 2,
+  marzipan: 2.6,
+  mascaras: 1.3,
+  massacre: 3.6,
+  massaged: 2.6,
+  massages: 3.1,
+  masseurs: 1.3,
+  masseuse: 3.1,
+  mastered: 3.1,
+  masterly: 1.8,
+  masthead: 2.1,
+  mastodon: 2.4,
+  matadors: 1.6,
+  matchbox: 2.6,
+  matching: 3.7,
+  material: 4.3,
+  maternal: 3.2,
+  matrices: 1.8,
+  matronly: 1.3,
+  mattered: 3.5,
+  mattocks: 2.5,
+  mattress: 3.8,
+  maturely: 2,
+  maturing: 2.3,
+  maturity: 3.3,
+  maverick: 3.4,
+  maximize: 2.9,
+  maximums: 1.8,
+  mayflies: 1.3,
+  mealtime: 2.2,
+  meanders: 1.3,
+  meanings: 2.8,
+  meanness: 2.7,
+  meantime: 4.2,
+  measured: 3.5,
+  measures: 3.7,
+  meatball: 3.4,
+  meatloaf: 3.4,
+  mechanic: 3.7,
+  medalist: 1.9,
+  meddlers: 1.3,
+  meddling: 3.1,
+  mediated: 1.6,
+  mediator: 2.5,
+  medicals: 1.6,
+  medicate: 2.6,
+  medicine: 4.5,
+  medieval: 3.5,
+  mediocre: 3.1,
+  meditate: 3,
+  medullas: 1.3,
+  meekness: 2,
+  meetings: 4,
+  megabyte: 1.6,
+  megalith: 2.2,
+  megatons: 2.4,
+  melanoma: 2.6,
+  mellowed: 2.5,
+  mellower: 1.3,
+  melodies: 2.6,
+  meltdown: 3.3,
+  membrane: 3,
+  mementos: 2.7,
+  memorial: 3.8,
+  memories: 4.3,
+  memorize: 3.5,
+  menacing: 2.7,
+  menorahs: 1.6,
+  menswear: 2.2,
+  mentally: 3.8,
+  mentions: 3.1,
+  mentored: 1.6,
+  merchant: 3.5,
+  merciful: 3.5,
+  mercuric: 1.3,
+  meridian: 2.5,
+  meringue: 2.8,
+  mermaids: 2.6,
+  merriest: 1.8,
+  mesdames: 2.7,
+  mesquite: 2.4,
+  messages: 4.3,
+  messiahs: 1.9,
+  messiest: 1.9,
+  mestizos: 1.6,
+  metallic: 3.1,
+  metaphor: 3.6,
+  meteoric: 2.2,
+  metering: 1.3,
+  methanol: 2.4,
+  methinks: 2.9,
+  microbes: 2.7,
+  middling: 2.1,
+  midlands: 2.3,
+  midnight: 4.5,
+  midpoint: 1.6,
+  midriffs: 1.6,
+  midterms: 3,
+  midwifed: 1.6,
+  midwives: 2.2,
+  mightier: 2.6,
+  mightily: 2.3,
+  migraine: 3.3,
+  migrants: 2.3,
+  migrated: 2.5,
+  migrates: 1.8,
+  mildewed: 2.1,
+  mildness: 1.8,
+  milepost: 1.3,
+  militant: 2.9,
+  military: 4.6,
+  militate: 1.6,
+  militias: 2,
+  milkmaid: 2.6,
+  milksops: 2.1,
+  milkweed: 1.3,
+  milliner: 2,
+  millions: 4.4,
+  mimicked: 1.9,
+  minarets: 1.3,
+  mindless: 3.2,
+  minerals: 3,
+  mingling: 2.9,
+  minibike: 2,
+  minicams: 1.6,
+  minimize: 3,
+  minimums: 1.6,
+  minister: 4.3,
+  ministry: 3.6,
+  minivans: 2.1,
+  minoring: 1.3,
+  minority: 3.3,
+  minstrel: 2.7,
+  minutely: 1.8,
+  minutiae: 2.1,
+  miracles: 3.8,
+  mirrored: 2.7,
+  miscarry: 2,
+  mischief: 3.3,
+  misdeeds: 2.3,
+  miseries: 2.5,
+  misfired: 2.3,
+  misfires: 1.3,
+  misguide: 1.3,
+  mishmash: 2.1,
+  misjudge: 2.4,
+  mismatch: 2.3,
+  misnomer: 2.1,
+  misogyny: 2,
+  misplace: 2.7,
+  misprint: 2.4,
+  misquote: 1.9,
+  missiles: 3.9,
+  missions: 3.5,
+  missives: 1.6,
+  misspell: 1.8,
+  misspent: 2.3,
+  missteps: 1.9,
+  mistaken: 4.1,
+  mistakes: 4.3,
+  mistreat: 2.5,
+  mistress: 4.1,
+  mistrial: 3.1,
+  mistrust: 2.8,
+  misusing: 2.1,
+  mitigate: 2.6,
+  mixtures: 1.9,
+  mnemonic: 2.7,
+  mobility: 2.8,
+  mobilize: 3,
+  mobsters: 2.5,
+  moccasin: 1.6,
+  modeling: 3.6,
+  moderate: 3.1,
+  modestly: 2.7,
+  modified: 3.3,
+  modifier: 1.6,
+  modifies: 1.6,
+  modulate: 2,
+  moistens: 1.3,
+  moisture: 3.1,
+  molasses: 3,
+  moldings: 2.3,
+  molecule: 2.9,
+  molehill: 2.5,
+  moleskin: 1.3,
+  molested: 3.2,
+  molester: 2.9,
+  mollusks: 1.3,
+  momentum: 3.2,
+  monarchs: 2.1,
+  monarchy: 2.8,
+  monastic: 1.9,
+  monetary: 3,
+  monetize: 1.6,
+  moneybag: 1.9,
+  mongoose: 2.8,
+  mongrels: 2.7,
+  monikers: 1.3,
+  monitors: 3.5,
+  monkeyed: 1.3,
+  monogamy: 3,
+  monogram: 2.4,
+  monolith: 2.9,
+  monopoly: 3.4,
+  monorail: 2,
+  monotone: 2,
+  monotony: 2.5,
+  monoxide: 3.1,
+  monsieur: 4.5,
+  monsoons: 1.9,
+  monsters: 4,
+  montages: 2,
+  monument: 3.4,
+  moochers: 2,
+  mooching: 2.3,
+  moodiest: 1.3,
+  moonbeam: 2.9,
+  moonshot: 1.3,
+  moorings: 2.4,
+  moorland: 1.8,
+  moralist: 2.1,
+  morality: 3.6,
+  moralize: 1.3,
+  morbidly: 2.2,
+  moreover: 3.1,
+  moribund: 1.8,
+  mornings: 3.5,
+  morphine: 3.8,
+  mortally: 2.4,
+  mortared: 1.6,
+  mortgage: 3.8,
+  mortuary: 3.3,
+  moseying: 2.2,
+  mosquito: 3.3,
+  mothball: 2,
+  mothered: 2.1,
+  motherly: 2.7,
+  motility: 2.2,
+  motioned: 1.9,
+  motivate: 3,
+  motorcar: 2.8,
+  motoring: 2.5,
+  motorist: 2.7,
+  motorman: 2.2,
+  motorway: 2.1,
+  mountain: 4.5,
+  mounting: 3.1,
+  mourners: 2.8,
+  mournful: 2.7,
+  mourning: 3.5,
+  moussing: 1.3,
+  mouthful: 3.2,
+  mouthing: 3,
+  movement: 4.2,
+  movingly: 1.6,
+  mucilage: 1.8,
+  muckrake: 1.3,
+  muddling: 1.9,
+  muddying: 1.8,
+  mudslide: 1.9,
+  mufflers: 1.9,
+  muffling: 2,
+  muggings: 2.3,
+  mulberry: 2.8,
+  mulching: 1.6,
+  muleteer: 1.3,
+  multiple: 4,
+  multiply: 3.3,
+  mumbling: 3.4,
+  munchies: 2.8,
+  munching: 2.4,
+  munition: 2.2,
+  muralist: 1.3,
+  murdered: 4.6,
+  murderer: 4.4,
+  murkiest: 1.3,
+  murmured: 1.8,
+  muscatel: 2.2,
+  muscling: 2.3,
+  muscular: 3.2,
+  mushroom: 3.3,
+  musicale: 2.2,
+  musicals: 3.1,
+  musician: 3.8,
+  musketry: 1.3,
+  muskrats: 2,
+  mustache: 3.7,
+  mustangs: 2.9,
+  mustered: 2.6,
+  mutating: 2.4,
+  mutation: 3.2,
+  mutilate: 2.8,
+  mutineer: 2.2,
+  mutinied: 1.6,
+  mutinies: 2.1,
+  mutinous: 2.1,
+  muttered: 2.4,
+  mutually: 3,
+  muzzling: 1.3,
+  mystical: 3.5,
+  mystique: 3.5,
+  mythical: 2.9,
+  nameless: 3.1,
+  namesake: 2.3,
+  napalmed: 2.1,
+  narcosis: 2,
+  narcotic: 2.9,
+  narrated: 2.7,
+  narrator: 4,
+  narrowed: 3.2,
+  narrower: 2.3,
+  narrowly: 2.4,
+  narwhals: 1.6,
+  nastiest: 2.7,
+  national: 4.6,
+  nativity: 2.5,
+  naturals: 2.5,
+  nauseate: 1.8,
+  nauseous: 3.5,
+  nautical: 2.9,
+  nautilus: 2.9,
+  navigate: 3.3,
+  naysayer: 1.8,
+  nearness: 1.3,
+  neatness: 2.5,
+  nebulous: 1.8,
+  necklace: 4,
+  neckline: 2.5,
+  neckties: 2.7,
+  necrosis: 2.1,
+  neediest: 2.3,
+  needless: 3.4,
+  needling: 2.3,
+  negating: 2.1,
+  negation: 2,
+  negative: 4.4,
+  neglects: 2.2,
+  negligee: 2.9,
+  neighbor: 4.2,
+  neighing: 2.9,
+  neonatal: 1.9,
+  neonates: 1.6,
+  neophyte: 2.2,
+  neoprene: 2.3,
+  nepotism: 2.2,
+  networks: 3.3,
+  neuritis: 1.6,
+  neuroses: 2.7,
+  neurosis: 2.8,
+  neurotic: 3.4,
+  neutered: 2.8,
+  neutrals: 1.6,
+  neutrino: 2.4,
+  neutrons: 2.4,
+  newborns: 2.4,
+  newcomer: 3,
+  newlywed: 2.6,
+  newsboys: 1.9,
+  newscast: 2.7,
+  newsreel: 2.9,
+  nibblers: 1.3,
+  nibbling: 2.8,
+  niceness: 2.4,
+  niceties: 2.4,
+  nickname: 3.8,
+  nicotine: 3.2,
+  niggling: 1.3,
+  nightcap: 3.2,
+  nighties: 2.1,
+  nihilism: 1.9,
+  nihilist: 2.2,
+  ninepins: 1.3,
+  nineteen: 3.5,
+  nineties: 2.7,
+  nitrates: 2.6,
+  nitrogen: 3.1,
+  nobility: 3.2,
+  nobleman: 2.9,
+  noblemen: 2.3,
+  nobodies: 2.8,
+  nocturne: 1.9,
+  noisiest: 1.9,
+  nominate: 3,
+  nominees: 3,
+  nondairy: 2,
+  nonesuch: 1.3,
+  nonevent: 1.6,
+  nonfatal: 1.3,
+  nonhuman: 2.2,
+  nonsense: 4.5,
+  nonstick: 1.3,
+  nontoxic: 2,
+  nonunion: 1.6,
+  noodling: 1.9,
+  noontime: 2.2,
+  normalcy: 2.6,
+  normally: 4.2,
+  northern: 3.9,
+  nosedive: 2.2,
+  nosiness: 1.3,
+  nostrils: 3.2,
+  nostrums: 1.3,
+  notables: 2.1,
+  notarize: 1.3,
+  notation: 2.4,
+  notebook: 3.7,
+  nothings: 2.6,
+  noticing: 3.6,
+  notified: 3.6,
+  notifies: 1.3,
+  novelist: 3.1,
+  novellas: 1.9,
+  nowadays: 3.8,
+  nuisance: 3.5,
+  numbered: 3.3,
+  numbness: 2.5,
+  numerals: 2.2,
+  numerous: 3.6,
+  numskull: 2.2,
+  nuptials: 2.8,
+  nurtured: 2.7,
+  nurtures: 1.3,
+  nuthatch: 1.9,
+  nutrient: 2.6,
+  nutshell: 3,
+  nuttiest: 1.8,
+  nuzzling: 2.3,
+  obdurate: 1.6,
+  obedient: 3.3,
+  obituary: 3.1,
+  objected: 2.9,
+  objector: 2.5,
+  obligate: 2.1,
+  obliging: 2.5,
+  oblivion: 3.3,
+  obscured: 2.7,
+  obscures: 2.1,
+  observed: 3.6,
+  observer: 3.6,
+  observes: 2.3,
+  obsessed: 4,
+  obsesses: 1.6,
+  obsidian: 1.8,
+  obsolete: 3.3,
+  obstacle: 3.4,
+  obstruct: 2.8,
+  obtained: 3.4,
+  occasion: 4.2,
+  occluded: 2.1,
+  occupant: 2.9,
+  occupied: 3.8,
+  occupies: 2.6,
+  occurred: 4.2,
+  oculists: 1.3,
+  oddballs: 2,
+  oddities: 2.2,
+  odometer: 2.3,
+  odorless: 2.4,
+  odysseys: 1.3,
+  offended: 3.9,
+  offender: 3.4,
+  offenses: 2.8,
+  offering: 4.2,
+  officers: 4.5,
+  official: 4.4,
+  offloads: 1.3,
+  offshoot: 2.1,
+  offshore: 3.4,
+  offstage: 2.6,
+  oftenest: 1.3,
+  oilcloth: 1.3,
+  ointment: 3.2,
+  oleander: 1.9,
+  oligarch: 1.3,
+  omission: 2.6,
+  omitting: 2,
+  oncology: 2.8,
+  oncoming: 2.6,
+  onlooker: 1.6,
+  openings: 3.2,
+  openness: 2.6,
+  operable: 2.4,
+  operated: 3.5,
+  operates: 3.3,
+  operatic: 2.4,
+  operator: 4.2,
+  operetta: 2.1,
+  opinions: 3.7,
+  opossums: 1.3,
+  opponent: 3.7,
+  opposing: 3.4,
+  opposite: 4.2,
+  optician: 1.9,
+  optimism: 3.2,
+  optimist: 3.2,
+  optimize: 2,
+  optional: 3.1,
+  optioned: 2.1,
+  opulence: 2,
+  orations: 2,
+  oratorio: 1.6,
+  orbitals: 2.1,
+  orbiting: 2.8,
+  orchards: 2,
+  ordained: 2.9,
+  ordering: 3.9,
+  ordinals: 1.3,
+  ordinary: 4.3,
+  ordnance: 3,
+  organics: 2.1,
+  organism: 3.3,
+  organist: 2.6,
+  organize: 3.6,
+  orgasmic: 2.4,
+  oriental: 3.4,
+  oriented: 2.7,
+  orifices: 2.4,
+  original: 4.5,
+  ornament: 3.1,
+  ornerier: 1.3,
+  orphaned: 2.6,
+  orthodox: 3,
+  ossified: 1.3,
+  ottomans: 1.8,
+  outbound: 2.5,
+  outbreak: 3.3,
+  outburst: 3.2,
+  outcasts: 2.9,
+  outclass: 1.3,
+  outcomes: 2.6,
+  outcries: 1.9,
+  outdated: 2.9,
+  outdoing: 1.6,
+  outdoors: 3.3,
+  outfield: 2.4,
+  outflank: 2.4,
+  outfoxed: 2.2,
+  outgoing: 3.2,
+  outgrown: 2.8,
+  outgrows: 1.6,
+  outhouse: 2.9,
+  outlasts: 1.6,
+  outlawed: 2.9,
+  outlined: 2.9,
+  outlines: 2.7,
+  outlived: 2.8,
+  outlives: 2,
+  outlying: 2.5,
+  outmoded: 2.2,
+  outposts: 2.5,
+  outraged: 3.1,
+  outrages: 2.1,
+  outranks: 2.4,
+  outreach: 2.7,
+  outright: 3.1,
+  outsells: 2.2,
+  outshine: 2,
+  outshone: 1.3,
+  outsider: 3.4,
+  outsides: 2.2,
+  outsmart: 2.9,
+  outstays: 1.3,
+  outstrip: 1.9,
+  outtakes: 2,
+  outvoted: 1.9,
+  outwards: 2.1,
+  outweigh: 2.7,
+  ovations: 2,
+  overages: 1.8,
+  overalls: 3,
+  overbite: 2.5,
+  overcame: 2.8,
+  overcast: 2.7,
+  overcoat: 3.2,
+  overcome: 3.8,
+  overcook: 2.1,
+  overdoes: 2.1,
+  overdone: 2.8,
+  overdose: 3.4,
+  overeats: 1.3,
+  overflow: 3,
+  overhand: 2.4,
+  overhang: 2.2,
+  overhaul: 2.7,
+  overhead: 3.6,
+  overhear: 3,
+  overheat: 2.5,
+  overhung: 1.3,
+  overkill: 2.8,
+  overlaid: 1.6,
+  overland: 2.4,
+  overlaps: 1.8,
+  overlays: 2.1,
+  overload: 3.3,
+  overlong: 1.3,
+  overlook: 3.5,
+  overlord: 2.6,
+  overmuch: 1.3,
+  overpaid: 2.9,
+  overpass: 2.7,
+  overpays: 1.6,
+  overplay: 2.1,
+  overrate: 1.6,
+  override: 3.7,
+  overripe: 1.8,
+  overrode: 2.2,
+  overrule: 2.5,
+  overruns: 2.1,
+  overseas: 3.7,
+  overseen: 1.9,
+  overseer: 2.6,
+  oversees: 2.3,
+  oversell: 2.1,
+  overshot: 2.5,
+  oversold: 1.3,
+  overstay: 2.1,
+  overstep: 2.4,
+  overtake: 2.9,
+  overtime: 3.8,
+  overtone: 1.8,
+  overtook: 2.2,
+  overture: 3.1,
+  overturn: 2.6,
+  overused: 2.2,
+  overview: 2.6,
+  overwork: 2.5,
+  ovulated: 1.3,
+  oxidized: 2.4,
+  oxidizer: 1.6,
+  oxidizes: 1.3,
+  oxymoron: 2.4,
+  pacified: 2.3,
+  pacifier: 2.6,
+  pacifism: 2.1,
+  pacifist: 2.8,
+  packaged: 2.7,
+  packages: 3.6,
+  paddling: 3,
+  paddocks: 1.3,
+  padlocks: 2.3,
+  paganism: 1.3,
+  pageants: 2.7,
+  paginate: 2,
+  painless: 3.3,
+  painters: 3.3,
+  painting: 4.5,
+  palatial: 2.5,
+  paleface: 2.3,
+  paleness: 1.3,
+  palettes: 1.3,
+  palimony: 2,
+  palmetto: 1.9,
+  palomino: 2.7,
+  palpable: 2.6,
+  palpated: 1.3,
+  pampered: 2.8,
+  pamphlet: 3.1,
+  panaceas: 1.3,
+  pancaked: 1.9,
+  pancakes: 4,
+  pancreas: 2.9,
+  pandemic: 2,
+  pandered: 1.8,
+  paneling: 2.2,
+  panelist: 1.3,
+  panicked: 3.7,
+  panorama: 2.1,
+  pantheon: 2.6,
+  panthers: 3.1,
+  pantries: 1.3,
+  pantsuit: 2.2,
+  paperboy: 2.6,
+  papering: 1.3,
+  papooses: 1.6,
+  parables: 1.9,
+  paradigm: 2.9,
+  parading: 3,
+  paradise: 4.1,
+  paraffin: 2.6,
+  paragons: 2,
+  parakeet: 3,
+  parallel: 3.6,
+  paralyze: 2.7,
+  paramour: 2.2,
+  paranoia: 3.4,
+  paranoid: 4,
+  parapets: 2,
+  parasite: 3.4,
+  parasols: 1.8,
+  parceled: 1.8,
+  pardoned: 2.9,
+  parental: 3.3,
+  parented: 1.3,
+  parfaits: 1.8,
+  parishes: 1.8,
+  parlance: 2.5,
+  parlayed: 2.1,
+  parleyed: 1.3,
+  parodies: 1.6,
+  parolees: 2.1,
+  paroxysm: 1.6,
+  parrying: 1.3,
+  parsnips: 1.6,
+  partaken: 1.9,
+  partaker: 1.3,
+  partakes: 1.3,
+  partials: 2.2,
+  particle: 3.3,
+  partings: 2.1,
+  partisan: 2.2,
+  partners: 4.4,
+  partying: 3.4,
+  parvenus: 1.6,
+  passable: 2.4,
+  passably: 1.3,
+  passages: 3.3,
+  passbook: 2.3,
+  passerby: 2.2,
+  passions: 3.2,
+  passives: 1.6,
+  passkeys: 1.6,
+  passport: 4,
+  password: 3.9,
+  pastiche: 1.8,
+  pastimes: 2.1,
+  pastoral: 2.1,
+  pastrami: 3,
+  pastries: 2.8,
+  pastures: 3.1,
+  patching: 3.1,
+  patellas: 1.3,
+  patented: 2.9,
+  patently: 2.4,
+  paternal: 2.9,
+  pathetic: 4.4,
+  pathogen: 2.5,
+  pathways: 2.7,
+  patience: 4.2,
+  patients: 4.5,
+  patriots: 3.2,
+  patterns: 3.7,
+  paunches: 1.3,
+  pavement: 3.3,
+  pavilion: 3,
+  pawnshop: 2.9,
+  paycheck: 3.6,
+  payloads: 2.1,
+  payments: 3.6,
+  payrolls: 2.5,
+  peaceful: 4.1,
+  peacocks: 2.7,
+  peasants: 3.5,
+  pectoral: 2.3,
+  peculiar: 3.9,
+  pedaling: 2.3,
+  pedantic: 2.5,
+  peddlers: 2.5,
+  peddling: 3.1,
+  pederast: 1.9,
+  pedestal: 3.1,
+  pedicure: 2.9,
+  pedigree: 2.9,
+  pediment: 1.3,
+  peekaboo: 3,
+  peelings: 2,
+  peephole: 2.7,
+  peerless: 2.5,
+  pelicans: 2.1,
+  pellagra: 1.8,
+  pelvises: 1.9,
+  penalize: 2.4,
+  penances: 1.6,
+  penchant: 2.7,
+  penciled: 2.1,
+  pendants: 1.9,
+  pendulum: 2.7,
+  penguins: 3.2,
+  penitent: 2.7,
+  penknife: 2.2,
+  penlight: 2.1,
+  pennants: 2.3,
+  penology: 1.6,
+  pensions: 2.7,
+  pentagon: 3.8,
+  peppered: 2.2,
+  perceive: 3.2,
+  percents: 1.3,
+  perching: 1.8,
+  perfects: 1.8,
+  perforce: 1.8,
+  performs: 2.9,
+  perfumed: 2.8,
+  perfumes: 2.8,
+  perilous: 2.9,
+  periodic: 2.6,
+  perished: 3,
+  perishes: 1.9,
+  perjured: 2.7,
+  perjurer: 1.8,
+  perjures: 1.3,
+  permeate: 1.9,
+  peroxide: 3,
+  persists: 2.5,
+  personae: 1.3,
+  personal: 5,
+  perspire: 2.3,
+  persuade: 3.8,
+  pertains: 2.6,
+  perusing: 2.1,
+  pervaded: 1.3,
+  pervades: 1.9,
+  perverse: 3.1,
+  perverts: 3.2,
+  pestered: 2.2,
+  petition: 3.6,
+  pettiest: 1.3,
+  petulant: 2.5,
+  petunias: 2.4,
+  phantasm: 1.9,
+  phantoms: 2.7,
+  pharaohs: 2.7,
+  pharmacy: 3.5,
+  pheasant: 2.9,
+  phonemes: 1.8,
+  phonetic: 2.4,
+  phoniest: 1.3,
+  phosphor: 1.3,
+  phrasing: 2.4,
+  physical: 4.4,
+  physique: 2.8,
+  pianists: 2.2,
+  picayune: 1.8,
+  piccolos: 1.3,
+  pickaxes: 1.6,
+  picketed: 1.8,
+  pickiest: 1.3,
+  pickings: 2.9,
+  pickling: 1.9,
+  pictured: 3.4,
+  pictures: 4.8,
+  piddling: 2.1,
+  piercing: 3.1,
+  pigments: 1.3,
+  pigskins: 1.6,
+  pigtails: 3,
+  pilfered: 2.2,
+  pilferer: 1.3,
+  pilgrims: 3.3,
+  pillaged: 2.3,
+  pillages: 1.3,
+  piloting: 2.7,
+  pimentos: 1.3,
+  pimiento: 1.3,
+  pinafore: 1.9,
+  pinching: 3,
+  pinheads: 2.2,
+  pinholes: 2,
+  pinnacle: 2.6,
+  pinochle: 2.7,
+  pinpoint: 3.3,
+  pinprick: 2.2,
+  pinwheel: 2.1,
+  pioneers: 3.1,
+  pipeline: 3.3,
+  piquancy: 1.6,
+  piranhas: 2.7,
+  pirating: 2.5,
+  pitchers: 2.8,
+  pitching: 3.6,
+  pitchman: 2,
+  pitchmen: 1.3,
+  pitfalls: 2.4,
+  pitiable: 2.1,
+  pitiless: 2.1,
+  pittance: 2.4,
+  pivoting: 1.3,
+  pizzeria: 2.6,
+  placards: 2.1,
+  placated: 2.1,
+  placebos: 2.1,
+  placenta: 2.7,
+  plaguing: 2.2,
+  plainest: 1.6,
+  planking: 1.6,
+  plankton: 3.2,
+  planners: 2.4,
+  planning: 4.6,
+  plantain: 1.3,
+  planters: 2.5,
+  planting: 3.3,
+  plastics: 3,
+  plateaus: 1.6,
+  plateful: 1.8,
+  platelet: 2,
+  platform: 3.8,
+  platinum: 3.4,
+  platonic: 3.1,
+  platoons: 2.3,
+  platters: 2.6,
+  platypus: 1.8,
+  plaudits: 1.3,
+  playable: 1.8,
+  playback: 3.2,
+  playbill: 1.9,
+  playboys: 3,
+  playlist: 1.9,
+  playmate: 3.1,
+  playoffs: 3.2,
+  playpens: 1.3,
+  playroom: 2.9,
+  pleading: 3.4,
+  pleasant: 4.3,
+  pleasing: 3.2,
+  pleasure: 4.9,
+  plebeian: 2.2,
+  pledging: 2.6,
+  plethora: 2.6,
+  pleurisy: 2,
+  plighted: 1.3,
+  plodders: 1.6,
+  plodding: 2.1,
+  plopping: 2.1,
+  plotters: 2,
+  plotting: 3.2,
+  plucking: 2.6,
+  plugging: 2.9,
+  plumbers: 2.9,
+  plumbing: 3.7,
+  plummets: 1.8,
+  plunders: 2.1,
+  plungers: 1.8,
+  plunging: 2.7,
+  plunking: 1.3,
+  poachers: 3.2,
+  poaching: 3,
+  pocketed: 2.1,
+  pockmark: 1.3,
+  podcasts: 1.3,
+  poetical: 1.6,
+  poignant: 2.7,
+  pointers: 3.1,
+  pointier: 1.6,
+  pointing: 3.9,
+  poisoned: 3.9,
+  poisoner: 2.5,
+  polarity: 2.5,
+  polarize: 1.3,
+  polecats: 1.6,
+  polemics: 1.3,
+  polestar: 1.8,
+  policies: 3.5,
+  policing: 2.2,
+  polished: 3.3,
+  polisher: 2,
+  polishes: 2.1,
+  politely: 3.2,
+  politest: 1.8,
+  politico: 1.8,
+  politics: 4.2,
+  polliwog: 1.3,
+  polluted: 3,
+  polluter: 1.6,
+  pollutes: 2.3,
+  polonium: 1.3,
+  poltroon: 1.8,
+  polygamy: 2.6,
+  polyglot: 1.3,
+  polymers: 2.1,
+  pondered: 2.7,
+  poniards: 1.3,
+  pontiffs: 1.3,
+  pontoons: 2.1,
+  ponytail: 3,
+  popinjay: 2.3,
+  popovers: 2.1,
+  populace: 2.5,
+  populate: 2.4,
+  populist: 1.9,
+  populous: 1.6,
+  porosity: 1.3,
+  porphyry: 1.3,
+  porpoise: 2.5,
+  porridge: 2.9,
+  portable: 3.6,
+  portages: 1.3,
+  portends: 1.3,
+  portents: 2.1,
+  porthole: 2.7,
+  portions: 3,
+  portrait: 3.7,
+  portrays: 2.1,
+  position: 4.9,
+  positive: 4.5,
+  positron: 1.6,
+  possible: 5.1,
+  possibly: 4.7,
+  postcard: 3.6,
+  postdate: 1.3,
+  postmark: 2.6,
+  postpone: 3.6,
+  postured: 1.3,
+  postures: 2.1,
+  potables: 1.6,
+  potatoes: 4,
+  potbelly: 2,
+  potholes: 2.7,
+  potlucks: 1.9,
+  potshots: 2.1,
+  poultice: 2.5,
+  pouncing: 2.1,
+  pounding: 3.8,
+  powdered: 3.3,
+  powerful: 4.5,
+  powering: 2.9,
+  practice: 4.7,
+  prairies: 2.2,
+  praising: 2.7,
+  pralines: 2.1,
+  prancing: 3,
+  pratfall: 1.8,
+  prattles: 1.9,
+  preached: 2.8,
+  preacher: 3.8,
+  preaches: 2.4,
+  preamble: 2.5,
+  preceded: 2.8,
+  precedes: 2.9,
+  precepts: 2.1,
+  precinct: 3.9,
+  precious: 4.4,
+  preclude: 2.5,
+  predated: 1.8,
+  predates: 1.3,
+  predator: 3.4,
+  predicts: 2.8,
+  preening: 2,
+  prefaced: 1.6,
+  prefaces: 1.6,
+  prefects: 1.6,
+  prefixes: 1.6,
+  pregnant: 4.7,
+  prejudge: 1.3,
+  prelates: 1.3,
+  preludes: 1.3,
+  premiere: 3.6,
+  premised: 1.8,
+  premises: 3.7,
+  premiums: 2.6,
+  prenatal: 2.8,
+  prepared: 4.6,
+  prepares: 2.9,
+  preppies: 2.2,
+  prepping: 3,
+  presages: 1.3,
+  presence: 4.3,
+  presents: 4.3,
+  preserve: 3.8,
+  presided: 2.5,
+  presides: 2,
+  pressing: 3.8,
+  pressman: 2.2,
+  pressmen: 1.3,
+  pressure: 4.7,
+  prestige: 3.1,
+  presumed: 3.1,
+  presumes: 2.1,
+  preteens: 1.3,
+  pretends: 3.3,
+  pretense: 2.9,
+  pretexts: 1.6,
+  prettied: 2.1,
+  prettier: 3.7,
+  pretties: 2.2,
+  prettily: 2,
+  pretzels: 3.3,
+  prevails: 2.7,
+  prevents: 3.2,
+  previews: 2.4,
+  previous: 4,
+  pricking: 2.3,
+  prickles: 1.3,
+  priestly: 2.7,
+  priggish: 2,
+  primates: 2.8,
+  primeval: 2.5,
+  primping: 2.6,
+  primrose: 2.6,
+  princely: 2.1,
+  princess: 4.6,
+  printers: 2.8,
+  printing: 3.6,
+  printout: 2.8,
+  priority: 4,
+  prisoner: 4.4,
+  pristine: 2.9,
+  privates: 3,
+  probable: 3.5,
+  probably: 5.4,
+  probated: 1.8,
+  problems: 4.9,
+  proceeds: 3.2,
+  proclaim: 3,
+  procured: 2.5,
+  procurer: 1.3,
+  prodding: 2.5,
+  prodigal: 3,
+  produced: 3.7,
+  producer: 4.1,
+  produces: 3.4,
+  products: 3.8,
+  profaned: 2.1,
+  profanes: 1.3,
+  profiled: 2.4,
+  profiles: 3,
+  profited: 2.5,
+  profound: 3.6,
+  programs: 3.7,
+  progress: 4.3,
+  prohibit: 2.7,
+  projects: 3.7,
+  prolific: 2.5,
+  prologue: 2.6,
+  prolongs: 2.1,
+  promised: 4.8,
+  promises: 4.1,
+  promoted: 3.7,
+  promoter: 3,
+  promotes: 2.7,
+  prompted: 3,
+  prompter: 2.2,
+  promptly: 3.3,
+  pronouns: 2.4,
+  proofing: 2.3,
+  properer: 1.3,
+  properly: 4.1,
+  property: 4.5,
+  prophecy: 3.8,
+  prophesy: 2.4,
+  prophets: 3.1,
+  proposal: 3.9,
+  proposed: 3.8,
+  proposer: 1.3,
+  proposes: 2.8,
+  propound: 1.6,
+  propping: 2,
+  prorated: 1.3,
+  prospect: 3.5,
+  prospers: 1.3,
+  prostate: 3.2,
+  protects: 3.5,
+  proteins: 3,
+  protests: 3,
+  protocol: 3.9,
+  protozoa: 1.8,
+  protrude: 1.8,
+  proudest: 3,
+  provable: 1.8,
+  provably: 1.3,
+  proverbs: 2.5,
+  provided: 4,
+  provider: 3.2,
+  provides: 3.4,
+  province: 3.5,
+  provisos: 1.8,
+  provoked: 3.2,
+  provokes: 2.5,
+  prowlers: 2.6,
+  prowling: 2.9,
+  prudence: 3.1,
+  prurient: 2,
+  psalmist: 1.8,
+  psychics: 2.9,
+  psyching: 2.4,
+  ptomaine: 2.1,
+  publican: 1.8,
+  publicly: 3.3,
+  puckered: 2.4,
+  puddings: 2.1,
+  puffball: 1.9,
+  puffiest: 1.3,
+  pugilism: 1.6,
+  pugilist: 1.6,
+  pullback: 1.3,
+  pullover: 2.4,
+  pulsated: 1.6,
+  pummeled: 1.9,
+  pumpkins: 2.8,
+  punchier: 1.6,
+  punching: 3.6,
+  punctual: 3,
+  puncture: 3.3,
+  pungency: 1.3,
+  punished: 4,
+  punishes: 2.5,
+  punitive: 2.9,
+  punsters: 1.3,
+  puppetry: 1.6,
+  purblind: 1.6,
+  purchase: 3.8,
+  purebred: 2.5,
+  pureness: 1.3,
+  purified: 2.9,
+  purifier: 2.3,
+  purifies: 2.1,
+  puritans: 2.5,
+  purplish: 1.3,
+  purports: 1.8,
+  purposed: 1.3,
+  purposes: 3.7,
+  pursuant: 2.6,
+  pursuers: 2.2,
+  pursuing: 3.5,
+  pursuits: 2.7,
+  purulent: 1.6,
+  purveyor: 2.3,
+  pushcart: 2.5,
+  pushiest: 1.3,
+  pushover: 3.1,
+  pussycat: 3.7,
+  pustules: 1.9,
+  putative: 1.3,
+  puttered: 1.3,
+  puzzling: 2.8,
+  pyorrhea: 1.6,
+  pyramids: 3.3,
+  quackery: 1.6,
+  quacking: 2.4,
+  quadrant: 3.4,
+  quaffing: 1.3,
+  quagmire: 3.4,
+  quainter: 1.3,
+  quaintly: 1.8,
+  quandary: 2.6,
+  quantify: 2.4,
+  quantity: 3.3,
+  quarrels: 2.8,
+  quarries: 1.9,
+  quarters: 4.2,
+  quartets: 1.9,
+  quatrain: 1.6,
+  queerest: 1.9,
+  queering: 1.6,
+  quelling: 1.3,
+  quenched: 2,
+  quenches: 1.8,
+  querying: 1.3,
+  questing: 1.9,
+  question: 5.3,
+  quibbled: 1.3,
+  quibbles: 1.6,
+  quickens: 1.9,
+  quickest: 3.1,
+  quickies: 1.9,
+  quietest: 2.1,
+  quieting: 1.8,
+  quietude: 1.6,
+  quilting: 2.3,
+  quirkier: 1.3,
+  quisling: 1.8,
+  quitters: 2.9,
+  quitting: 3.9,
+  quivered: 1.3,
+  quixotic: 2.1,
+  quizzing: 1.9,
+  quotable: 2,
+  quotient: 2.5,
+  racially: 2.6,
+  radiance: 2.4,
+  radiated: 2.1,
+  radiates: 2,
+  radiator: 3.3,
+  radicals: 2.8,
+  radioing: 1.8,
+  radishes: 2.7,
+  raffling: 2.1,
+  railings: 2.5,
+  railroad: 4.1,
+  railways: 2.4,
+  rainbows: 3,
+  raincoat: 3.2,
+  raindrop: 2.4,
+  rainfall: 2.5,
+  rainiest: 1.3,
+  rakishly: 1.3,
+  rallying: 2.5,
+  ramblers: 1.9,
+  rambling: 3.1,
+  rampages: 1.6,
+  ramparts: 2.1,
+  ranchers: 2.9,
+  ranching: 2.4,
+  randomly: 3.1,
+  rankings: 1.9,
+  rankness: 1.3,
+  ransomed: 1.8,
+  rapacity: 1.6,
+  rapidity: 2,
+  raptures: 1.9,
+  rarefied: 2.2,
+  rascally: 1.9,
+  rashness: 1.8,
+  ratchets: 2,
+  ratified: 2.4,
+  ratifies: 1.3,
+  rational: 3.7,
+  rationed: 2.5,
+  rattlers: 2.4,
+  rattling: 3.5,
+  rattraps: 1.6,
+  ravaging: 2.2,
+  ravening: 2,
+  ravenous: 2.7,
+  raviolis: 1.6,
+  ravished: 2.3,
+  reaching: 3.9,
+  reacting: 3.2,
+  reaction: 4.2,
+  reactive: 2.9,
+  reactors: 3.2,
+  readable: 2.2,
+  readiest: 1.3,
+  readings: 3.4,
+  readjust: 2.4,
+  readouts: 2.3,
+  readying: 2.4,
+  reaffirm: 2.1,
+  reagents: 1.6,
+  realists: 1.8,
+  realized: 4.6,
+  realizes: 3.4,
+  reappear: 2.5,
+  rearming: 1.6,
+  rearward: 1.8,
+  reasoned: 2.7,
+  reassert: 1.6,
+  reassess: 2.4,
+  reassign: 2.7,
+  reassure: 2.9,
+  reawaken: 1.8,
+  rebelled: 2.6,
+  rebounds: 2.4,
+  rebuffed: 2,
+  rebuilds: 2,
+  rebuking: 1.3,
+  rebuttal: 2.9,
+  rebutted: 1.3,
+  recalled: 3.2,
+  recanted: 2.2,
+  receding: 2.7,
+  receipts: 3.5,
+  received: 4.4,
+  receiver: 3.5,
+  receives: 3.2,
+  recently: 4.4,
+  receptor: 3,
+  recessed: 2.5,
+  recesses: 2.5,
+  recharge: 3.1,
+  rechecks: 1.3,
+  recitals: 2.3,
+  reciting: 2.8,
+  reckless: 3.7,
+  reckoned: 2.9,
+  reclaims: 1.8,
+  reclined: 2,
+  recliner: 2.2,
+  reclines: 1.8,
+  recluses: 1.3,
+  recoiled: 1.8,
+  recorded: 3.9,
+  recorder: 3.7,
+  recounts: 3,
+  recourse: 2.9,
+  recovers: 2.7,
+  recovery: 4,
+  recreate: 3,
+  recruits: 3.2,
+  recycled: 2.9,
+  recycles: 2.3,
+  redcoats: 2.6,
+  reddened: 1.8,
+  redeemed: 2.8,
+  redeemer: 2.6,
+  redefine: 2.5,
+  redeploy: 2.4,
+  redesign: 2.7,
+  redheads: 2.7,
+  redirect: 3,
+  rednecks: 2.7,
+  redouble: 2.3,
+  redskins: 2.5,
+  reducing: 3,
+  redwoods: 2,
+  reemerge: 1.9,
+  reenlist: 2.3,
+  refereed: 1.3,
+  referees: 2.2,
+  referent: 1.3,
+  referral: 2.7,
+  referred: 3.6,
+  refilled: 2.1,
+  refinery: 3,
+  refining: 2.4,
+  refinish: 1.6,
+  refitted: 2.1,
+  reflects: 3.2,
+  reflexes: 3.4,
+  reformat: 1.8,
+  reformed: 3.1,
+  reformer: 2.3,
+  refracts: 1.3,
+  refueled: 2.2,
+  refugees: 3.3,
+  refunded: 2.3,
+  refusals: 1.6,
+  refusing: 3.5,
+  refuting: 1.3,
+  regained: 3.1,
+  regaling: 1.9,
+  regarded: 3.3,
+  regimens: 1.8,
+  regiment: 3.7,
+  regional: 3.5,
+  register: 4,
+  registry: 3.1,
+  regulars: 3.1,
+  regulate: 2.9,
+  rehabbed: 1.3,
+  rehashed: 1.3,
+  rehearse: 3.7,
+  reheated: 1.8,
+  rehiring: 1.6,
+  reigning: 2.9,
+  reimpose: 1.3,
+  reindeer: 3.5,
+  reinsert: 1.8,
+  reinvent: 2.4,
+  reinvest: 2.1,
+  reissued: 1.9,
+  reissues: 1.6,
+  rejected: 3.8,
+  rejoiced: 2.3,
+  rejoices: 2.2,
+  rejoined: 2.2,
+  rekindle: 2.7,
+  relapsed: 2.1,
+  relating: 3.1,
+  relation: 3.6,
+  relative: 3.9,
+  relaxant: 2.4,
+  relaxing: 3.6,
+  relaying: 2.6,
+  released: 4.2,
+  releases: 3.2,
+  relegate: 1.6,
+  relented: 1.9,
+  relevant: 3.7,
+  reliable: 3.8,
+  reliably: 2.2,
+  reliance: 2.4,
+  relieved: 4,
+  relieves: 2.5,
+  religion: 4.1,
+  relished: 2.3,
+  relishes: 1.8,
+  reliving: 2.8,
+  reloaded: 2.3,
+  relocate: 3.1,
+  remained: 3.6,
+  remaking: 1.9,
+  remanded: 2.9,
+  remarked: 2.5,
+  remedial: 2.6,
+  remedied: 2.2,
+  remedies: 2.7,
+  remember: 5.7,
+  reminded: 3.9,
+  reminder: 3.6,
+  remitted: 2.2,
+  remnants: 2.8,
+  remotely: 3.5,
+  remotest: 2.3,
+  remounts: 1.6,
+  removals: 1.6,
+  removing: 3.5,
+  renaming: 1.9,
+  rendered: 3.4,
+  renegade: 3.1,
+  reneging: 2.1,
+  renewals: 2.1,
+  renewing: 2.8,
+  renounce: 3.2,
+  renovate: 2.4,
+  renowned: 3.1,
+  reoccurs: 1.6,
+  reopened: 2.9,
+  reorders: 1.3,
+  repaired: 3.4,
+  repartee: 2.6,
+  repaying: 2.5,
+  repealed: 2.2,
+  repeated: 3.4,
+  repeater: 2.4,
+  repelled: 2.4,
+  repented: 2.2,
+  rephrase: 3.2,
+  replaced: 3.9,
+  replaces: 2.7,
+  replayed: 1.8,
+  replicas: 2.1,
+  replying: 2.1,
+  reported: 4.2,
+  reporter: 4.3,
+  reposing: 1.8,
+  reprieve: 3,
+  reprisal: 2.4,
+  reprises: 1.3,
+  reproach: 2.7,
+  reproved: 1.3,
+  reptiles: 2.9,
+  republic: 3.7,
+  repulsed: 2.9,
+  repulses: 1.8,
+  requests: 3.7,
+  required: 4,
+  requires: 4,
+  requited: 1.9,
+  rerouted: 2.7,
+  reroutes: 1.3,
+  rescuers: 2.2,
+  rescuing: 3.3,
+  research: 4.5,
+  resemble: 3.2,
+  resented: 3,
+  reserved: 3.7,
+  reserves: 3.2,
+  resident: 3.9,
+  residing: 2.5,
+  residual: 3.1,
+  residues: 2.2,
+  resigned: 3.4,
+  resisted: 3.2,
+  resistor: 2.1,
+  resolute: 2.8,
+  resolved: 3.5,
+  resolves: 2.2,
+  resonant: 2.1,
+  resonate: 2.5,
+  resorted: 2.4,
+  resounds: 1.9,
+  resource: 3.2,
+  respects: 3.8,
+  respired: 1.3,
+  responds: 3.1,
+  response: 4.2,
+  restarts: 2,
+  restated: 1.3,
+  restates: 1.3,
+  restless: 3.7,
+  restored: 3.6,
+  restorer: 2.3,
+  restores: 2.3,
+  restrain: 3.2,
+  restrict: 2.7,
+  restroom: 3.4,
+  resubmit: 1.8,
+  resulted: 3.1,
+  resuming: 2.8,
+  resupply: 2.5,
+  retailer: 1.6,
+  retained: 3.1,
+  retainer: 3.3,
+  retaking: 2.1,
+  retarded: 3.8,
+  retching: 2.6,
+  reticent: 2.4,
+  retinues: 1.3,
+  retirees: 1.8,
+  retiring: 3.4,
+  retooled: 1.8,
+  retorted: 1.3,
+  retraced: 1.8,
+  retraces: 1.6,
+  retracts: 1.6,
+  retreads: 1.8,
+  retreats: 2.6,
+  retrench: 1.3,
+  retrieve: 3.6,
+  retrofit: 2.2,
+  retrying: 1.3,
+  returned: 4.4,
+  returnee: 1.3,
+  reunions: 2.8,
+  reunited: 3.3,
+  reunites: 1.6,
+  reusable: 1.3,
+  revamped: 1.8,
+  revealed: 3.8,
+  reveille: 2.9,
+  revelers: 1.9,
+  reveling: 2.3,
+  revenged: 2.1,
+  revenues: 2.7,
+  reverend: 4.3,
+  reverent: 2.3,
+  reveries: 1.6,
+  reversal: 3,
+  reversed: 3.4,
+  reverses: 2.5,
+  reverted: 2.3,
+  reviewed: 3.4,
+  reviewer: 2.7,
+  revising: 2.4,
+  revision: 2.8,
+  revivals: 2,
+  reviving: 2.5,
+  revoking: 2.3,
+  revolted: 2.3,
+  revolved: 2.2,
+  revolver: 3.4,
+  revolves: 2.8,
+  rewarded: 3.5,
+  rewiring: 2.5,
+  reworded: 1.3,
+  reworked: 2.3,
+  rewrites: 2.7,
+  rhapsody: 2.7,
+  rhetoric: 2.6,
+  rhomboid: 1.9,
+  rhythmic: 3,
+  ribaldry: 1.3,
+  richness: 2.5,
+  rickshaw: 2.8,
+  ricochet: 2.7,
+  riddance: 3.2,
+  riddling: 2,
+  ridicule: 3.3,
+  riffraff: 3,
+  rifleman: 2.7,
+  riflemen: 2.3,
+  rightest: 1.3,
+  rightful: 3.4,
+  righting: 2.3,
+  rightist: 1.3,
+  rigidity: 2.3,
+  rigorous: 2.9,
+  ringlets: 1.8,
+  ringside: 3,
+  ringtone: 1.9,
+  ringworm: 2,
+  ripeness: 1.6,
+  ripening: 2.1,
+  rippling: 2.8,
+  riskiest: 1.6,
+  ritually: 1.6,
+  ritziest: 1.3,
+  rivaling: 2,
+  riverbed: 2.6,
+  riveting: 2.7,
+  rivulets: 1.6,
+  roadkill: 2.6,
+  roadshow: 1.9,
+  roadside: 3,
+  roadster: 2.5,
+  roadways: 2,
+  roadwork: 2.3,
+  roasting: 2.9,
+  robotics: 2.8,
+  robustly: 1.3,
+  rocketed: 2.1,
+  rocketry: 1.3,
+  roebucks: 1.3,
+  roentgen: 1.9,
+  rogering: 1.8,
+  rollback: 1.3,
+  romanced: 2.4,
+  romances: 3,
+  romantic: 4.5,
+  rooftops: 2.9,
+  roomiest: 1.3,
+  roommate: 4.1,
+  roosters: 2.5,
+  roosting: 2,
+  rootless: 1.6,
+  rosaries: 2.1,
+  rosebuds: 2.4,
+  rosebush: 2,
+  rosemary: 3.7,
+  rosettes: 1.6,
+  rosewood: 2.5,
+  rotating: 3,
+  rotation: 3.5,
+  rottener: 1.6,
+  rotundas: 1.3,
+  roughage: 2.4,
+  roughest: 2.6,
+  roughing: 2.8,
+  roulette: 3.4,
+  rounding: 3.2,
+  roundish: 1.3,
+  roundups: 1.6,
+  routines: 3,
+  rowboats: 1.9,
+  royalist: 1.3,
+  rubbishy: 1.3,
+  rubdowns: 1.3,
+  rucksack: 2.2,
+  rudeness: 2.9,
+  rudiment: 1.9,
+  ruffians: 2.5,
+  ruffling: 2.1,
+  ruggedly: 1.8,
+  rumbling: 3.4,
+  ruminant: 1.3,
+  ruminate: 2,
+  rummaged: 2.1,
+  runabout: 1.8,
+  runaways: 2.9,
+  rundowns: 1.3,
+  ruptured: 3.3,
+  ruptures: 2.3,
+  rustlers: 2.9,
+  rustling: 3.3,
+  rutabaga: 2.5,
+  ruthless: 3.6,
+  sabotage: 3.6,
+  saboteur: 2.7,
+  sackfuls: 1.3,
+  sacristy: 1.9,
+  saddened: 2.9,
+  saddling: 2.1,
+  sadistic: 3.2,
+  safeness: 1.3,
+  safeties: 2.3,
+  sagacity: 1.3,
+  sailboat: 3.2,
+  sailfish: 1.6,
+  sailings: 1.6,
+  salaried: 2.2,
+  salaries: 3,
+  salesman: 4,
+  salesmen: 3.3,
+  salinity: 1.6,
+  salivary: 2,
+  salivate: 1.9,
+  saltiest: 1.3,
+  saltines: 2.4,
+  salutary: 1.6,
+  saluting: 2.9,
+  salvaged: 2.6,
+  sameness: 2.2,
+  samovars: 1.3,
+  samplers: 2.1,
+  sampling: 2.9,
+  sanctify: 2,
+  sanction: 2.9,
+  sanctity: 3.2,
+  sanctums: 1.3,
+  sandbags: 2.3,
+  sandbank: 1.6,
+  sandbars: 1.8,
+  sandhogs: 1.8,
+  sandwich: 4.3,
+  sanguine: 2.1,
+  sanitary: 2.9,
+  sanitize: 2.1,
+  sapience: 1.3,
+  saplings: 1.9,
+  sapphire: 3.1,
+  sarcasms: 1.3,
+  sardines: 3.5,
+  sardonic: 2,
+  sashayed: 1.8,
+  satanism: 2.6,
+  satchels: 2,
+  satiated: 1.8,
+  satirist: 2,
+  satirize: 1.3,
+  saturate: 2.3,
+  saucepan: 2.2,
+  saunters: 1.8,
+  sausages: 3.4,
+  savagely: 2.5,
+  savagery: 2.4,
+  savaging: 1.6,
+  savannas: 1.3,
+  savoring: 2.4,
+  sawhorse: 1.3,
+  sawmills: 1.3,
+  scabbard: 2.3,
+  scabbing: 2,
+  scabrous: 1.3,
+  scaffold: 2.7,
+  scalawag: 2.1,
+  scalding: 2.6,
+  scallion: 2.2,
+  scallops: 2.6,
+  scalpels: 2.5,
+  scalpers: 1.8,
+  scalping: 2.5,
+  scamming: 2.9,
+  scampers: 1.6,
+  scandals: 2.9,
+  scanners: 3.3,
+  scanning: 3.4,
+  scansion: 1.3,
+  scantily: 1.9,
+  scarcely: 3.1,
+  scarcity: 2.2,
+  scarfing: 2.1,
+  scariest: 2.9,
+  scarring: 3,
+  scathing: 2.2,
+  scatters: 2,
+  scatting: 1.9,
+  scavenge: 2.3,
+  scenario: 3.8,
+  scenting: 1.9,
+  scepters: 1.6,
+  schedule: 4.5,
+  schemers: 1.3,
+  scheming: 3,
+  schizoid: 2.1,
+  schmaltz: 2.4,
+  schmooze: 2.5,
+  schmucks: 2.7,
+  schnapps: 2.9,
+  scholars: 3,
+  schooled: 2.7,
+  schooner: 2.9,
+  sciatica: 2.4,
+  sciences: 2.8,
+  scimitar: 2.3,
+  scissors: 3.8,
+  scoffing: 2.1,
+  scolding: 2.7,
+  scooping: 2.7,
+  scooters: 2.5,
+  scooting: 1.9,
+  scorched: 2.9,
+  scorcher: 2.6,
+  scorches: 1.3,
+  scornful: 1.9,
+  scorning: 1.6,
+  scorpion: 3.4,
+  scotches: 2.6,
+  scourged: 2,
+  scourges: 1.6,
+  scouring: 2.7,
+  scouting: 3.2,
+  scowling: 2.1,
+  scrabble: 3.3,
+  scraggly: 2.2,
+  scramble: 3.4,
+  scrammed: 1.3,
+  scrapers: 1.3,
+  scraping: 3.4,
+  scrapped: 2.7,
+  scratchy: 3,
+  scrawled: 2.2,
+  screamed: 3.7,
+  screechy: 1.3,
+  screened: 2.9,
+  screwier: 1.9,
+  screwing: 4,
+  scribble: 2.8,
+  scrimped: 1.9,
+  scripted: 2.5,
+  scrounge: 2.9,
+  scrubbed: 3.2,
+  scrubber: 2.4,
+  scrunchy: 2.2,
+  scruples: 3,
+  scrutiny: 3.1,
+  scudding: 1.6,
+  scuffing: 1.3,
+  scuffled: 1.6,
+  scullery: 2.6,
+  scullion: 1.9,
+  sculpted: 2.5,
+  sculptor: 3,
+  scumbags: 3.2,
+  scuppers: 1.9,
+  scurried: 2,
+  scurries: 1.6,
+  scuttled: 2.4,
+  scuttles: 1.8,
+  seabirds: 1.9,
+  seaboard: 3.1,
+  seacoast: 1.3,
+  seafarer: 1.8,
+  seagoing: 2.3,
+  sealants: 1.3,
+  sealskin: 2.1,
+  seamless: 2.5,
+  seaplane: 2.3,
+  seaports: 1.8,
+  searched: 3.9,
+  searcher: 2.5,
+  searches: 3.1,
+  seascape: 1.8,
+  seashell: 2.5,
+  seashore: 2.7,
+  seasonal: 3,
+  seasoned: 3,
+  seceding: 1.8,
+  secluded: 3,
+  seconded: 2.6,
+  secondly: 3.5,
+  secreted: 2.4,
+  secretes: 1.8,
+  secretly: 3.7,
+  sections: 3.4,
+  securely: 2.8,
+  securing: 3.1,
+  security: 5,
+  sedately: 1.3,
+  sedating: 1.6,
+  sedation: 3.1,
+  sedative: 3.4,
+  sediment: 2.6,
+  sedition: 2.7,
+  seducing: 3,
+  seediest: 1.6,
+  seedless: 2.3,
+  seedling: 2,
+  seething: 2.7,
+  segments: 2.6,
+  segueing: 1.3,
+  seizures: 3.3,
+  selected: 3.7,
+  selector: 1.8,
+  selenium: 2.8,
+  selfless: 3.3,
+  selfsame: 1.9,
+  sellouts: 1.3,
+  semantic: 1.9,
+  semester: 3.8,
+  seminars: 2.9,
+  seminary: 3,
+  senators: 3.4,
+  senility: 2.5,
+  sensible: 3.8,
+  sensibly: 2.4,
+  sensuous: 2.7,
+  sentence: 4.3,
+  sentient: 2.7,
+  sentinel: 2.7,
+  sentries: 2.9,
+  separate: 4.3,
+  sequence: 3.9,
+  sequined: 2.4,
+  sequitur: 2,
+  sequoias: 1.3,
+  seraglio: 2.1,
+  serenade: 3.1,
+  serenely: 2.1,
+  serenity: 3.3,
+  sergeant: 4.8,
+  serially: 1.3,
+  serpents: 2.7,
+  serrated: 2.4,
+  servants: 3.8,
+  serviced: 2.8,
+  services: 4.3,
+  servings: 2.1,
+  sessions: 3.7,
+  setbacks: 2.7,
+  settings: 3,
+  settlers: 3.1,
+  settling: 3.6,
+  sevenths: 1.3,
+  severely: 3.5,
+  severest: 2,
+  severing: 2.3,
+  severity: 2.8,
+  sewerage: 1.3,
+  sexiness: 2,
+  sextants: 1.6,
+  sexually: 3.9,
+  shabbier: 1.6,
+  shabbily: 1.9,
+  shackled: 2.6,
+  shackles: 3,
+  shadings: 1.3,
+  shadowed: 2.8,
+  shagging: 3,
+  shakiest: 2.2,
+  shallots: 2.4,
+  shallows: 2.6,
+  shambles: 3,
+  shameful: 3.3,
+  shamming: 1.8,
+  shampoos: 2.5,
+  shamrock: 2.4,
+  shanghai: 3.7,
+  shanties: 1.8,
+  shantung: 2.1,
+  sharking: 2.1,
+  sharpens: 2.2,
+  sharpers: 1.9,
+  sharpest: 2.9,
+  shatters: 2.8,
+  shavings: 2.6,
+  shearing: 2.3,
+  sheathed: 2,
+  shedding: 2.7,
+  sheepdog: 2.7,
+  sheepish: 2,
+  sheerest: 1.3,
+  sheeting: 2.1,
+  sheikdom: 1.3,
+  shelling: 3.2,
+  shelters: 3.1,
+  shelving: 2.4,
+  shepherd: 3.9,
+  sherbets: 1.3,
+  sheriffs: 3.1,
+  sherries: 1.9,
+  shielded: 2.7,
+  shifting: 3.2,
+  shiitake: 1.9,
+  shilling: 3.2,
+  shimmers: 1.8,
+  shimmery: 1.9,
+  shimmied: 1.8,
+  shimmies: 1.6,
+  shinbone: 2.5,
+  shindigs: 1.6,
+  shingled: 1.3,
+  shingles: 2.8,
+  shiniest: 1.6,
+  shinning: 2.1,
+  shipload: 1.8,
+  shipmate: 2.5,
+  shipment: 3.8,
+  shippers: 2.1,
+  shipping: 3.8,
+  shipyard: 2.9,
+  shirkers: 1.6,
+  shirking: 2.1,
+  shittier: 1.9,
+  shitting: 3.6,
+  shivered: 2.1,
+  shockers: 1.3,
+  shocking: 3.8,
+  shoehorn: 2.4,
+  shoelace: 2.9,
+  shooters: 3.3,
+  shooting: 4.8,
+  shootout: 3,
+  shoplift: 2.5,
+  shoppers: 3.1,
+  shopping: 4.5,
+  shoptalk: 2.1,
+  shopworn: 1.8,
+  shortage: 3.4,
+  shortcut: 3.6,
+  shortens: 2.1,
+  shortest: 3.2,
+  shorting: 2.5,
+  shortish: 1.3,
+  shotguns: 3,
+  shoulder: 4.4,
+  shouting: 4.2,
+  shoveled: 2.3,
+  showboat: 2.6,
+  showcase: 2.8,
+  showdown: 3.1,
+  showered: 3.1,
+  showgirl: 3,
+  showings: 2,
+  showoffs: 1.3,
+  showroom: 2.8,
+  shrapnel: 3.3,
+  shredded: 3.1,
+  shredder: 2.5,
+  shrewder: 1.3,
+  shrewdly: 2.1,
+  shrewish: 1.3,
+  shrieked: 2.1,
+  shrivels: 2.2,
+  shriving: 1.3,
+  shrouded: 2.5,
+  shrugged: 2,
+  shrunken: 2.8,
+  shucking: 2,
+  shudders: 2.2,
+  shuffled: 2.6,
+  shuffler: 1.3,
+  shuffles: 1.9,
+  shunning: 2.2,
+  shunting: 1.3,
+  shushing: 2.2,
+  shutdown: 3.2,
+  shutouts: 1.8,
+  shutters: 3.2,
+  shutting: 3.6,
+  shuttled: 2.1,
+  shuttles: 2.3,
+  shysters: 2.1,
+  sibilant: 1.3,
+  siblings: 3.3,
+  sickbeds: 1.3,
+  sickened: 2.4,
+  sickness: 3.9,
+  sidearms: 2.2,
+  sidecars: 1.9,
+  sidekick: 3.4,
+  sideline: 2.8,
+  sidelong: 1.6,
+  sideshow: 3,
+  sidestep: 1.8,
+  sidewalk: 3.7,
+  sidewall: 1.8,
+  sideways: 3.4,
+  sighting: 3.2,
+  signaled: 2.6,
+  signings: 2.3,
+  signpost: 2.5,
+  silenced: 2.9,
+  silencer: 3,
+  silences: 2.7,
+  silently: 3.2,
+  silicate: 2.1,
+  silicone: 2.9,
+  silkworm: 1.8,
+  silliest: 2.6,
+  silvered: 1.3,
+  simmered: 1.6,
+  simpered: 1.3,
+  simplest: 3.2,
+  simplify: 3,
+  simulate: 3.1,
+  sinfully: 2.1,
+  singeing: 1.3,
+  singling: 2.3,
+  singsong: 2.2,
+  singular: 3.1,
+  sinister: 3.3,
+  sinkhole: 2.5,
+  siphoned: 2.3,
+  sisterly: 2.4,
+  sittings: 1.6,
+  situated: 2.9,
+  sixpence: 2.8,
+  sixteens: 1.3,
+  sixtieth: 1.9,
+  sizzling: 2.9,
+  skeletal: 2.7,
+  skeleton: 3.7,
+  skeptics: 2.2,
+  sketched: 2.4,
+  sketches: 3.5,
+  skewered: 2.3,
+  skidding: 2.3,
+  skillets: 2.1,
+  skillful: 2.9,
+  skimming: 3,
+  skimping: 2.2,
+  skinhead: 2.5,
+  skinless: 2.3,
+  skinnier: 2.4,
+  skinning: 2.5,
+  skippers: 2.3,
+  skipping: 3.5,
+  skirmish: 2.7,
+  skirting: 2,
+  skitters: 1.8,
+  skittish: 2.8,
+  skivvies: 2.6,
+  skulking: 2.7,
+  skullcap: 2,
+  skydiver: 1.9,
+  skylarks: 1.6,
+  skylight: 2.9,
+  slackers: 2.5,
+  slacking: 2.9,
+  slalomed: 1.3,
+  slammers: 1.3,
+  slamming: 3.2,
+  slanders: 2.1,
+  slanting: 2.2,
+  slapdash: 1.9,
+  slapping: 3.2,
+  slashing: 2.8,
+  slattern: 1.8,
+  slayings: 2.1,
+  sleazier: 1.9,
+  sledding: 2.6,
+  sleekest: 1.3,
+  sleepers: 2.6,
+  sleepier: 2.1,
+  sleepily: 1.6,
+  sleeping: 4.8,
+  slickers: 2.2,
+  slickest: 1.8,
+  slicking: 1.3,
+  slighted: 2.3,
+  slighter: 1.3,
+  slightly: 4.1,
+  slimiest: 1.8,
+  slimmest: 1.6,
+  slimming: 2.5,
+  slinging: 2.9,
+  slinking: 2.2,
+  slipknot: 2.1,
+  slippage: 2.1,
+  slippers: 3.7,
+  slippery: 3.6,
+  slipping: 3.8,
+  slipshod: 2.1,
+  slithers: 2.1,
+  slithery: 2.1,
+  slitting: 2.4,
+  slivered: 1.3,
+  slobbers: 1.3,
+  slogging: 1.6,
+  sloppier: 1.9,
+  sloppily: 1.8,
+  slopping: 2.1,
+  sloshing: 2.3,
+  slothful: 1.8,
+  slouched: 1.6,
+  slouches: 1.8,
+  sloughed: 2.1,
+  slovenly: 1.8,
+  slowdown: 2.5,
+  slowness: 1.9,
+  slowpoke: 2.5,
+  sluggers: 1.6,
+  slugging: 2.8,
+  sluggish: 2.9,
+  sluicing: 1.6,
+  slumbers: 2.1,
+  slumlord: 2.2,
+  slumming: 3,
+  slumping: 2.2,
+  slurping: 2.9,
+  slurring: 2.5,
+  smackers: 2.7,
+  smacking: 2.9,
+  smallest: 3.5,
+  smallish: 2.4,
+  smallpox: 3.2,
+  smartest: 3.7,
+  smarting: 1.6,
+  smashing: 3.5,
+  smearing: 2.3,
+  smellier: 1.3,
+  smelling: 3.7,
+  smelters: 2,
+  smelting: 2.2,
+  smirking: 2.6,
+  smithies: 1.3,
+  smooched: 1.6,
+  smooches: 1.3,
+  smoothed: 2.2,
+  smoother: 3,
+  smoothie: 2.9,
+  smoothly: 3.4,
+  smothers: 2.3,
+  smudging: 1.8,
+  smuggled: 3.2,
+  smuggler: 3.1,
+  smuggles: 2.1,
+  smugness: 2.2,
+  snacking: 2.5,
+  snaffles: 1.3,
+  snagging: 1.8,
+  snappers: 2.1,
+  snappier: 1.8,
+  snapping: 3.2,
+  snappish: 2.5,
+  snapshot: 3,
+  snarling: 3,
+  snatched: 3.5,
+  snatches: 2.3,
+  snazzier: 1.3,
+  sneakers: 3.7,
+  sneakier: 1.6,
+  sneaking: 3.9,
+  sneering: 2.1,
+  sneezing: 3,
+  snickers: 2.9,
+  sniffing: 3.5,
+  sniffled: 1.3,
+  sniffles: 2.7,
+  snippets: 2,
+  snipping: 1.8,
+  snitched: 2.9,
+  snitches: 2.8,
+  snobbery: 2.3,
+  snobbish: 2.5,
+  snoopers: 1.8,
+  snooping: 3.5,
+  snoozing: 2.4,
+  snorkels: 1.3,
+  snorting: 3,
+  snowball: 3.1,
+  snowdrop: 1.3,
+  snowfall: 2.6,
+  snowplow: 2.6,
+  snowshoe: 1.6,
+  snowsuit: 2.1,
+  snubbing: 2.1,
+  snuffbox: 1.8,
+  snuffing: 1.3,
+  snuffles: 1.6,
+  snuggled: 2.5,
+  snuggles: 2.4,
+  sobering: 2.6,
+  sobriety: 2.8,
+  sociable: 3,
+  sociably: 1.3,
+  socially: 3.5,
+  societal: 2.2,
+  sodomite: 2.4,
+  softball: 3.4,
+  softened: 2.8,
+  softener: 2.7,
+  softness: 2.7,
+  software: 3.9,
+  softwood: 1.3,
+  solarium: 2.6,
+  soldered: 1.8,
+  soldiers: 4.4,
+  solemnly: 3.2,
+  solenoid: 2,
+  solicits: 1.3,
+  solidify: 2.3,
+  solidity: 1.9,
+  solitary: 3.5,
+  solitude: 3.3,
+  soloists: 1.3,
+  solstice: 2.5,
+  solution: 4.2,
+  solvable: 1.6,
+  solvency: 1.9,
+  solvents: 2.2,
+  sombrero: 2.4,
+  somebody: 5.5,
+  someones: 2.3,
+  sometime: 4.5,
+  somewhat: 4,
+  songbird: 2.4,
+  songster: 1.6,
+  sonorous: 1.6,
+  soothing: 3.4,
+  sopranos: 2.4,
+  sorcerer: 3.2,
+  sorehead: 1.3,
+  soreness: 2,
+  sorority: 3.3,
+  sorriest: 2.6,
+  soulless: 2.8,
+  soulmate: 2.1,
+  soundest: 1.3,
+  sounding: 3.6,
+  sourcing: 1.3,
+  sourpuss: 2.7,
+  southern: 4.1,
+  southpaw: 2.7,
+  souvenir: 3.7,
+  soybeans: 2.4,
+  spaceman: 3,
+  spacemen: 2,
+  spacious: 3.1,
+  spangled: 2.4,
+  spangles: 2.3,
+  spaniels: 1.8,
+  spanking: 3.3,
+  spanners: 1.6,
+  spanning: 2.3,
+  sparking: 2.5,
+  sparkled: 1.6,
+  sparkler: 1.8,
+  sparkles: 2.9,
+  sparring: 3,
+  sparrows: 2.7,
+  sparsely: 2.1,
+  spatters: 1.8,
+  spatulas: 2.4,
+  spawning: 2.7,
+  speakers: 3.3,
+  speaking: 4.8,
+  spearing: 1.9,
+  specials: 3.3,
+  specific: 4.3,
+  specimen: 3.7,
+  specious: 2.3,
+  speckled: 2.6,
+  speckles: 1.8,
+  specters: 1.9,
+  spectral: 2.8,
+  spectrum: 3.3,
+  speeches: 3.7,
+  speeders: 2.1,
+  speedily: 1.8,
+  speeding: 3.7,
+  speedway: 2.8,
+  spellers: 2.5,
+  spelling: 3.7,
+  spenders: 2.4,
+  spending: 4.4,
+  sphinxes: 1.9,
+  spillage: 2.1,
+  spilling: 3.3,
+  spillway: 2.3,
+  spinners: 2.3,
+  spinning: 3.9,
+  spinster: 3,
+  spiraled: 2.1,
+  spirited: 3.1,
+  spitball: 2.4,
+  spiteful: 2.9,
+  spitfire: 2.8,
+  spitting: 3.6,
+  spittoon: 2.6,
+  splashed: 2.8,
+  splashes: 2.7,
+  splatter: 2.9,
+  splendid: 4.1,
+  splendor: 3.1,
+  splicing: 2.4,
+  splinted: 1.6,
+  splinter: 3.2,
+  splotchy: 1.3,
+  splurged: 2.2,
+  splutter: 1.3,
+  spoilers: 2,
+  spoiling: 3.2,
+  spongers: 1.6,
+  spongier: 1.3,
+  sponging: 2.4,
+  sponsors: 3.3,
+  spookier: 2,
+  spooking: 2.4,
+  spooling: 1.3,
+  spoonful: 2.8,
+  spooning: 2.6,
+  sporadic: 2.4,
+  sporting: 3.5,
+  sportive: 1.8,
+  spotless: 3.1,
+  spotters: 2.1,
+  spotting: 2.8,
+  spouting: 2.8,
+  sprained: 3.2,
+  sprawled: 2.4,
+  sprayers: 1.3,
+  spraying: 3.1,
+  spreader: 2.8,
+  sprinkle: 3.2,
+  sprinted: 1.3,
+  sprinter: 2,
+  spritzed: 1.6,
+  sprocket: 2.5,
+  sprouted: 2.4,
+  sprucing: 2.4,
+  spunkier: 1.3,
+  spurious: 2,
+  spurning: 1.3,
+  spurring: 1.8,
+  spurting: 2.3,
+  sputters: 2,
+  spyglass: 2.4,
+  squabble: 2.7,
+  squadron: 3.6,
+  squalled: 1.3,
+  squander: 2.8,
+  squarely: 2.8,
+  squarest: 1.6,
+  squaring: 2.3,
+  squashed: 3,
+  squashes: 1.3,
+  squatted: 1.9,
+  squatter: 2.4,
+  squawked: 2,
+  squeaked: 2.3,
+  squealed: 2.7,
+  squealer: 2.8,
+  squeegee: 2.4,
+  squeezed: 3.4,
+  squeezer: 2.1,
+  squeezes: 2.7,
+  squiggle: 1.6,
+  squiggly: 2.5,
+  squinted: 1.9,
+  squiring: 2,
+  squirmed: 1.6,
+  squirrel: 3.7,
+  squirted: 2.5,
+  squished: 2.7,
+  squishes: 1.9,
+  stabbing: 3.4,
+  stablest: 1.3,
+  staccato: 2.2,
+  stacking: 3,
+  stadiums: 2.4,
+  staffers: 2.4,
+  staffing: 2.4,
+  staggers: 2.4,
+  stagnant: 2.4,
+  stagnate: 1.9,
+  staining: 2.4,
+  stairway: 3.2,
+  stakeout: 3.3,
+  stalkers: 2.6,
+  stalking: 3.7,
+  stalling: 3.6,
+  stallion: 3.5,
+  stalwart: 2.6,
+  stammers: 2.4,
+  stampede: 3.1,
+  stamping: 2.7,
+  standard: 4.3,
+  standbys: 2,
+  standing: 4.9,
+  standoff: 2.8,
+  standout: 2.2,
+  staplers: 1.6,
+  stapling: 2.2,
+  starched: 2.4,
+  starches: 1.8,
+  starfish: 2.9,
+  starless: 1.6,
+  starlets: 2.2,
+  starling: 3.3,
+  starring: 3.4,
+  starters: 3.6,
+  starting: 4.8,
+  startled: 3.4,
+  startles: 1.9,
+  starving: 4.2,
+  stashing: 2.3,
+  stations: 4.1,
+  statuary: 1.8,
+  statures: 1.3,
+  statuses: 1.3,
+  statutes: 2.8,
+  steadied: 1.3,
+  steadier: 2.1,
+  steadies: 2.1,
+  steadily: 3.1,
+  stealing: 4.4,
+  stealthy: 2.5,
+  steamers: 2.2,
+  steaming: 3.3,
+  steeling: 1.8,
+  steepest: 1.8,
+  steeples: 2,
+  steerage: 2.2,
+  steering: 3.6,
+  stemming: 2.4,
+  stencils: 2.4,
+  stepping: 3.8,
+  sterling: 3.3,
+  sternest: 1.8,
+  steroids: 3.4,
+  stewards: 2.5,
+  stickers: 3.3,
+  stickier: 1.6,
+  sticking: 4.2,
+  stickler: 3,
+  stickpin: 2.1,
+  stickups: 2.1,
+  stiffens: 2.3,
+  stiffest: 1.6,
+  stiffing: 1.8,
+  stifling: 2.5,
+  stigmata: 2.6,
+  stiletto: 2.5,
+  stilling: 1.3,
+  stimulus: 2.7,
+  stingers: 2.9,
+  stinging: 3,
+  stingray: 2.5,
+  stinkers: 2.1,
+  stinking: 4,
+  stinting: 1.6,
+  stippled: 1.3,
+  stirring: 3.4,
+  stirrups: 2.7,
+  stitched: 3,
+  stitches: 3.7,
+  stockade: 3.2,
+  stocking: 3.4,
+  stoicism: 2.1,
+  stomachs: 3,
+  stomping: 3,
+  stoniest: 1.3,
+  stooping: 2.3,
+  stopgaps: 1.3,
+  stopover: 2.6,
+  stoppage: 2.4,
+  stoppers: 2,
+  stopping: 4.3,
+  stormily: 1.3,
+  storming: 2.9,
+  stoutest: 1.3,
+  stowaway: 2.8,
+  straddle: 2.7,
+  strafing: 2.3,
+  straggle: 1.3,
+  straggly: 1.8,
+  straight: 5.1,
+  strained: 3.1,
+  strainer: 2.4,
+  stranded: 3.5,
+  stranger: 4.4,
+  strangle: 3.6,
+  strapped: 3.5,
+  strategy: 4,
+  straying: 2.1,
+  streaked: 1.8,
+  streamed: 2.2,
+  streamer: 1.6,
+  strength: 4.6,
+  stressed: 3.7,
+  stresses: 2.6,
+  stretchy: 2.6,
+  strewing: 1.3,
+  striated: 1.3,
+  stricken: 3.2,
+  stricter: 2,
+  strictly: 4,
+  stridden: 1.3,
+  strident: 1.6,
+  striding: 2.4,
+  strikers: 2.5,
+  striking: 3.6,
+  stringed: 2.1,
+  stringer: 2.5,
+  striping: 1.9,
+  stripped: 3.6,
+  stripper: 3.7,
+  striving: 2.7,
+  stroking: 2.9,
+  strolled: 2.6,
+  stroller: 2.9,
+  stronger: 4.3,
+  strongly: 3.8,
+  strudels: 2,
+  struggle: 4.1,
+  strumpet: 2.7,
+  strutted: 1.6,
+  stubbing: 1.8,
+  stubborn: 4,
+  studding: 2.2,
+  students: 4.5,
+  studious: 2.1,
+  studying: 4.3,
+  stuffier: 1.6,
+  stuffing: 3.5,
+  stumbled: 3.6,
+  stumbles: 2.7,
+  stumping: 1.6,
+  stunning: 3.6,
+  stunting: 1.9,
+  stupider: 2.8,
+  stupidly: 2.8,
+  sturdier: 1.3,
+  sturgeon: 2.6,
+  stutters: 2.5,
+  stylists: 2.4,
+  stylized: 2.4,
+  subduing: 1.6,
+  subhuman: 2.3,
+  subjects: 3.8,
+  sublease: 1.6,
+  submerge: 2.6,
+  submerse: 1.3,
+  suborned: 1.6,
+  subplots: 1.3,
+  subpoena: 3.3,
+  subsided: 2.4,
+  subsides: 2.4,
+  subsonic: 1.9,
+  subspace: 2.7,
+  subsumed: 1.6,
+  subsumes: 1.3,
+  subtitle: 3,
+  subtlest: 1.6,
+  subtlety: 2.9,
+  subtotal: 1.6,
+  subtract: 2.7,
+  suburban: 3.4,
+  suburbia: 2.9,
+  subverts: 1.3,
+  succeeds: 3,
+  succinct: 2.4,
+  succumbs: 1.9,
+  suchlike: 1.9,
+  suckered: 2.8,
+  suckling: 2.5,
+  suddenly: 4.7,
+  suffered: 4.1,
+  sufferer: 1.9,
+  sufficed: 2.4,
+  suffices: 2.4,
+  suffixes: 1.3,
+  suffrage: 2,
+  suggests: 3.7,
+  suicidal: 3.5,
+  suicides: 3.3,
+  suitable: 3.7,
+  suitably: 2.4,
+  suitcase: 4.1,
+  sukiyaki: 1.9,
+  sulfides: 1.3,
+  sulfuric: 2.5,
+  sullying: 1.6,
+  summoned: 3.5,
+  summoner: 1.6,
+  sunbathe: 2.3,
+  sunbeams: 1.9,
+  sunblock: 2.8,
+  sunburns: 1.6,
+  sundered: 1.6,
+  sundries: 1.9,
+  sunlamps: 1.3,
+  sunlight: 3.7,
+  sunniest: 1.3,
+  sunrises: 2.1,
+  sunshine: 4.1,
+  sunspots: 2.3,
+  superbly: 2.3,
+  superego: 1.9,
+  superior: 4.1,
+  superman: 4.1,
+  supermen: 2.4,
+  supplant: 1.8,
+  supplied: 3.4,
+  supplier: 3.3,
+  supplies: 4.1,
+  supports: 3.3,
+  supposed: 5.4,
+  supposes: 2.7,
+  suppress: 3.2,
+  surcease: 2,
+  surefire: 2.4,
+  surfaced: 2.9,
+  surfaces: 2.9,
+  surgeons: 3.6,
+  surgical: 3.9,
+  surliest: 1.3,
+  surmised: 2.3,
+  surmises: 1.3,
+  surmount: 2,
+  surnames: 2,
+  surplice: 1.3,
+  surprise: 4.9,
+  surround: 3.5,
+  surveyed: 2.5,
+  surveyor: 2.4,
+  survival: 4,
+  survived: 4.1,
+  survives: 3.2,
+  survivor: 3.6,
+  suspects: 4.1,
+  suspends: 1.9,
+  suspense: 3.3,
+  sustains: 2.5,
+  suturing: 2.7,
+  swabbing: 2.4,
+  swaddled: 1.6,
+  swallows: 3.2,
+  swamping: 1.3,
+  swankier: 1.3,
+  swapping: 2.9,
+  swarming: 3,
+  swashing: 1.3,
+  swastika: 2.7,
+  swatches: 2.7,
+  swatters: 2.1,
+  swatting: 2.2,
+  swearers: 1.6,
+  swearing: 3.4,
+  sweaters: 3.3,
+  sweatier: 1.3,
+  sweating: 3.9,
+  sweepers: 2.4,
+  sweeping: 3.5,
+  sweetens: 1.6,
+  sweetest: 3.8,
+  sweeties: 2.4,
+  swellest: 2.7,
+  swelling: 3.5,
+  swelters: 1.3,
+  swerving: 2.3,
+  swiftest: 2.2,
+  swigging: 1.8,
+  swilling: 2.1,
+  swimmers: 3.2,
+  swimming: 4.3,
+  swimsuit: 3.3,
+  swindled: 2.8,
+  swindler: 2.8,
+  swindles: 1.6,
+  swingers: 2.9,
+  swinging: 3.8,
+  swirling: 3,
+  swishing: 2.4,
+  switched: 3.9,
+  switcher: 2.8,
+  switches: 3.4,
+  swiveled: 1.6,
+  swooning: 2.2,
+  swooping: 2.6,
+  sybarite: 1.3,
+  sycamore: 3,
+  syllable: 2.9,
+  syllabus: 2.7,
+  symbolic: 3.2,
+  symmetry: 2.9,
+  sympathy: 3.9,
+  symphony: 3.6,
+  symptoms: 3.9,
+  synapses: 2.4,
+  syndrome: 3.8,
+  synonyms: 2.2,
+  synopses: 1.3,
+  synopsis: 2.4,
+  syphilis: 3.3,
+  syringes: 2.7,
+  systemic: 2.3,
+  systolic: 3,
+  tableaux: 1.3,
+  tabloids: 3,
+  tabulate: 1.3,
+  taciturn: 2.2,
+  tackiest: 1.6,
+  tacklers: 1.3,
+  tackling: 2.7,
+  tactical: 3.7,
+  tactless: 2.4,
+  tadpoles: 2.7,
+  tailcoat: 1.3,
+  tailgate: 2.7,
+  tailless: 1.3,
+  tailored: 2.7,
+  tailpipe: 2.7,
+  tailspin: 2.3,
+  tailwind: 2.1,
+  tainting: 1.9,
+  takeoffs: 2.2,
+  takeover: 3.2,
+  talented: 4.1,
+  talisman: 3.2,
+  tallness: 1.3,
+  tallying: 1.6,
+  tamarind: 1.8,
+  tampered: 3.2,
+  tanagers: 1.3,
+  tangents: 1.3,
+  tangible: 3,
+  tangling: 2,
+  tantrums: 2.7,
+  tapering: 2,
+  tapestry: 2.8,
+  tapeworm: 2.8,
+  taprooms: 1.3,
+  targeted: 3.3,
+  tarragon: 2.4,
+  tarrying: 1.8,
+  tasteful: 3.1,
+  tastiest: 1.6,
+  tattered: 2.4,
+  tattling: 2,
+  tattooed: 3.4,
+  taunting: 3,
+  tautness: 1.6,
+  taxation: 2.5,
+  taxicabs: 2.2,
+  taxpayer: 2.8,
+  teachers: 4.1,
+  teaching: 4.3,
+  teammate: 3,
+  teamster: 2.4,
+  teamwork: 3.3,
+  teardrop: 2.4,
+  tearooms: 1.3,
+  teaspoon: 2.7,
+  teenager: 3.8,
+  teeniest: 2.3,
+  teething: 2.7,
+  teetotal: 1.3,
+  telecast: 2.5,
+  telegram: 4,
+  telethon: 3,
+  teletype: 2.8,
+  televise: 1.3,
+  telltale: 2.5,
+  temerity: 2.3,
+  tempered: 2.8,
+  tempests: 2,
+  template: 2.6,
+  temporal: 3.1,
+  tempting: 3.5,
+  tenacity: 2.4,
+  tendency: 3.4,
+  tendered: 2.4,
+  tenderer: 1.3,
+  tenderly: 2.9,
+  tendrils: 2.3,
+  tenement: 2.8,
+  tensions: 2.9,
+  tentacle: 2.4,
+  tequilas: 2.2,
+  terabyte: 1.3,
+  terminal: 3.9,
+  terminus: 2.7,
+  termites: 3.2,
+  terraces: 1.8,
+  terrapin: 2.2,
+  terrible: 5,
+  terribly: 4.4,
+  terriers: 1.9,
+  terrific: 4.6,
+  tertiary: 2.4,
+  testicle: 3.1,
+  tethered: 2.6,
+  textbook: 3.3,
+  textiles: 2.4,
+  textural: 1.3,
+  textured: 2.2,
+  textures: 2.5,
+  thalamus: 1.8,
+  thallium: 2.2,
+  thankful: 3.7,
+  thanking: 3.5,
+  thatched: 2,
+  thatcher: 3.3,
+  theaters: 3.3,
+  theistic: 1.6,
+  thematic: 1.9,
+  theology: 2.8,
+  theorems: 1.9,
+  theories: 3.7,
+  theorist: 2.2,
+  theorize: 2.3,
+  thermals: 2.5,
+  thespian: 2.5,
+  thiamine: 1.8,
+  thickens: 2.8,
+  thickest: 2.2,
+  thickets: 1.3,
+  thievery: 2.4,
+  thieving: 3.2,
+  thimbles: 1.8,
+  thinkers: 3,
+  thinking: 5.4,
+  thinners: 2.1,
+  thinness: 2,
+  thinnest: 2.2,
+  thinning: 2.6,
+  thirsted: 1.8,
+  thirteen: 3.7,
+  thirties: 2.7,
+  thistles: 1.8,
+  thoracic: 2.9,
+  thorough: 3.7,
+  thoughts: 4.5,
+  thousand: 4.8,
+  thrashed: 2.6,
+  thrasher: 1.8,
+  thrashes: 1.3,
+  threaded: 2.3,
+  threaten: 3.9,
+  thresher: 2.3,
+  thrilled: 4,
+  thriller: 3.1,
+  thriving: 3.1,
+  throttle: 3.4,
+  throwers: 2.1,
+  throwing: 4.5,
+  thudding: 2.8,
+  thumbing: 2.4,
+  thumping: 3.2,
+  thunders: 2.3,
+  thwarted: 2.7,
+  ticketed: 2.3,
+  tickling: 3,
+  ticklish: 3.1,
+  tidiness: 1.6,
+  tightens: 2.4,
+  tightest: 2.5,
+  tightwad: 2.4,
+  timbered: 1.3,
+  timeless: 2.9,
+  timidity: 2.1,
+  tincture: 1.9,
+  tingling: 3,
+  tinkered: 2.1,
+  tinkling: 2.9,
+  tinsmith: 1.3,
+  tipsters: 2.3,
+  tiredest: 1.3,
+  tireless: 2.8,
+  tiresome: 3.2,
+  titanium: 3.2,
+  titmouse: 2.1,
+  toadying: 1.8,
+  toasters: 2.4,
+  toasting: 2.9,
+  tobaccos: 1.8,
+  toboggan: 1.9,
+  toddlers: 2.3,
+  toddling: 2.4,
+  toenails: 3.2,
+  together: 5.6,
+  toiletry: 1.8,
+  toilette: 2,
+  toilsome: 1.9,
+  tolerant: 3.1,
+  tolerate: 3.8,
+  tollgate: 1.6,
+  tomahawk: 2.6,
+  tomatoes: 3.6,
+  tomorrow: 5.5,
+  tonality: 1.6,
+  toneless: 1.3,
+  tonguing: 2,
+  toothier: 1.6,
+  topcoats: 1.9,
+  topknots: 1.3,
+  toppings: 2.6,
+  toppling: 2.4,
+  topsails: 2.1,
+  topsides: 1.9,
+  torching: 2.4,
+  toreador: 1.9,
+  torments: 2.5,
+  torrents: 1.9,
+  tortilla: 2.5,
+  tortoise: 3,
+  tortuous: 2.1,
+  tortured: 3.9,
+  torturer: 2.4,
+  tortures: 3,
+  totaling: 2.3,
+  totality: 2.1,
+  touchier: 1.3,
+  touching: 4.2,
+  toughens: 1.6,
+  toughest: 3.6,
+  tourists: 3.7,
+  toweling: 1.6,
+  towering: 2.8,
+  towheads: 1.3,
+  township: 2.7,
+  townsman: 1.8,
+  townsmen: 1.9,
+  toxicity: 2.7,
+  tracings: 2,
+  trackers: 2.5,
+  tracking: 4.1,
+  traction: 3.3,
+  tractors: 2.8,
+  traduced: 1.3,
+  traffics: 2.1,
+  trailers: 2.7,
+  trailing: 3.2,
+  trainees: 2.6,
+  trainers: 2.8,
+  training: 4.5,
+  traipsed: 1.3,
+  traipses: 1.3,
+  traitors: 3.4,
+  tramping: 2.3,
+  trampled: 3.1,
+  tramples: 1.3,
+  tranquil: 2.9,
+  transact: 2.3,
+  transept: 1.3,
+  transfer: 4.3,
+  transits: 1.6,
+  transmit: 3.5,
+  trapdoor: 2.6,
+  trapezes: 1.8,
+  trappers: 2.5,
+  trapping: 2.8,
+  trashcan: 2.6,
+  trashier: 1.3,
+  trashing: 2.8,
+  travails: 1.3,
+  traveled: 3.8,
+  traveler: 3.5,
+  traverse: 2.9,
+  travesty: 3,
+  trawlers: 1.8,
+  trawling: 1.6,
+  treading: 2.7,
+  treasure: 4.3,
+  treasury: 3.6,
+  treaties: 2.9,
+  treating: 4.1,
+  treatise: 2.5,
+  treeless: 1.6,
+  treetops: 2.4,
+  trekking: 1.8,
+  trembled: 2.6,
+  trembles: 2.4,
+  trenched: 1.6,
+  trenches: 3.3,
+  trendier: 1.3,
+  trending: 1.6,
+  trespass: 3.2,
+  triangle: 3.6,
+  tribunal: 3,
+  tributes: 2.1,
+  trickery: 2.9,
+  trickier: 2.4,
+  tricking: 2.9,
+  trickled: 2.1,
+  trickles: 1.6,
+  tricolor: 1.3,
+  tricycle: 2.7,
+  trifecta: 2.7,
+  trifling: 2.8,
+  triggers: 3.2,
+  trilling: 2.5,
+  trillion: 3,
+  trimmers: 1.3,
+  trimming: 2.8,
+  trinkets: 2.9,
+  triplets: 3.1,
+  tripling: 1.8,
+  tripping: 3.6,
+  triptych: 1.6,
+  triumphs: 2.9,
+  trolleys: 2,
+  trolling: 2.8,
+  trollops: 1.8,
+  trombone: 3.1,
+  tromping: 2.3,
+  troopers: 3.2,
+  trooping: 1.8,
+  trophies: 3.4,
+  tropical: 3.5,
+  trotters: 2.3,
+  trotting: 2.5,
+  troubled: 3.8,
+  troubles: 4.1,
+  trounced: 1.9,
+  troupers: 1.6,
+  trousers: 3.7,
+  truckers: 2.9,
+  trucking: 3,
+  trudging: 2.6,
+  truffles: 2.9,
+  trumpets: 2.9,
+  trumping: 2.1,
+  trunking: 1.3,
+  trustees: 3.1,
+  trustful: 2,
+  trusting: 3.8,
+  truthful: 3.3,
+  trysting: 1.6,
+  tsunamis: 1.9,
+  tubercle: 1.3,
+  tuckered: 2.7,
+  tugboats: 1.6,
+  tumblers: 2.4,
+  tumbling: 3.1,
+  tuneless: 2,
+  tungsten: 2.2,
+  tunneled: 2,
+  turbines: 2.6,
+  turbojet: 1.8,
+  turmeric: 1.6,
+  turmoils: 1.3,
+  turncoat: 2.4,
+  turnoffs: 1.9,
+  turnouts: 1.3,
+  turnover: 2.8,
+  turnpike: 3,
+  tutelage: 2.3,
+  tutorial: 2.6,
+  tutoring: 3.3,
+  twaddles: 1.3,
+  twanging: 1.6,
+  tweaking: 2.7,
+  tweeters: 1.8,
+  tweeting: 1.8,
+  tweezers: 3,
+  twelfths: 1.3,
+  twenties: 3.1,
+  twiddled: 1.6,
+  twilight: 3.5,
+  twinkled: 1.3,
+  twinkles: 2,
+  twinning: 1.8,
+  twirlers: 1.9,
+  twirling: 3,
+  twisters: 2.4,
+  twisting: 3.3,
+  twitched: 2.1,
+  twitches: 2.5,
+  twosomes: 1.3,
+  typecast: 2.2,
+  typeface: 2.2,
+  typhoons: 2.3,
+  typified: 1.8,
+  typifies: 1.9,
+  ubiquity: 1.6,
+  ugliness: 3.1,
+  ukuleles: 2.1,
+  ulterior: 3,
+  ultimate: 4,
+  umbrella: 3.9,
+  umpiring: 1.6,
+  unabated: 2.2,
+  unafraid: 2.7,
+  unawares: 2.4,
+  unbarred: 1.3,
+  unbeaten: 2.1,
+  unbelief: 1.3,
+  unbiased: 2.5,
+  unbidden: 1.3,
+  unbroken: 2.6,
+  unbuckle: 2.5,
+  unburden: 2.3,
+  unbutton: 2.9,
+  uncalled: 2.9,
+  uncaring: 2.4,
+  uncommon: 3.3,
+  uncooked: 2,
+  uncorked: 1.8,
+  uncouple: 2.2,
+  uncovers: 2.2,
+  unctuous: 1.6,
+  underage: 3.3,
+  underarm: 1.9,
+  underbid: 1.3,
+  undercut: 2.2,
+  underdog: 3,
+  underfed: 1.9,
+  underlay: 3.3,
+  underpay: 1.8,
+  undersea: 2.9,
+  undertow: 2.7,
+  undulate: 1.3,
+  unearned: 1.3,
+  unearths: 1.3,
+  uneasily: 1.3,
+  unedited: 2.2,
+  unending: 2.7,
+  unerring: 1.6,
+  unevenly: 1.6,
+  unfairly: 2.8,
+  unfasten: 2.2,
+  unfolded: 2.5,
+  unformed: 1.9,
+  unfurled: 2.3,
+  ungainly: 1.8,
+  unguents: 1.3,
+  unhanded: 1.3,
+  unharmed: 3.2,
+  unheeded: 2.1,
+  unhinged: 2.4,
+  unhinges: 1.3,
+  unhooked: 2.3,
+  unhorsed: 1.6,
+  unicorns: 3.1,
+  unicycle: 2.3,
+  uniforms: 3.9,
+  unifying: 2.2,
+  unionize: 2,
+  uniquely: 2.9,
+  universe: 4.4,
+  unjustly: 2.7,
+  unkindly: 2,
+  unknowns: 2.4,
+  unlacing: 1.3,
+  unlawful: 2.9,
+  unleaded: 2.5,
+  unlikely: 3.7,
+  unlisted: 3,
+  unloaded: 3.2,
+  unlocked: 3.6,
+  unloosed: 1.3,
+  unmaking: 1.3,
+  unmanned: 2.8,
+  unmarked: 3.1,
+  unmasked: 2.4,
+  unmissed: 1.3,
+  unneeded: 1.8,
+  unnerved: 2.6,
+  unopened: 2.7,
+  unpacked: 3.1,
+  unproved: 1.3,
+  unproven: 2.3,
+  unravels: 2.2,
+  unrolled: 2.1,
+  unsaddle: 1.8,
+  unsalted: 1.8,
+  unsavory: 2.9,
+  unscrews: 1.6,
+  unsealed: 1.9,
+  unseated: 1.6,
+  unseeing: 1.3,
+  unseemly: 2.7,
+  unsettle: 1.8,
+  unshaven: 2.1,
+  unsigned: 2.6,
+  unsolved: 3.3,
+  unspoken: 3.1,
+  unstable: 3.7,
+  unstated: 1.8,
+  unsteady: 2.5,
+  unstrung: 2.1,
+  unsuited: 2,
+  untangle: 2.5,
+  untapped: 2.5,
+  untaught: 1.3,
+  untested: 2.2,
+  untimely: 2.9,
+  untiring: 2.1,
+  untitled: 1.9,
+  untoward: 2.5,
+  untruths: 1.6,
+  unusable: 2.4,
+  unveiled: 2.4,
+  unwanted: 3.1,
+  unwashed: 2.5,
+  unwieldy: 2.1,
+  unwisely: 1.6,
+  unworthy: 3.3,
+  unzipped: 2.4,
+  upcoming: 3.2,
+  updating: 2.7,
+  upgraded: 3,
+  upgrades: 2.8,
+  upheaval: 2.6,
+  uplifted: 2.1,
+  upmarket: 1.6,
+  uppercut: 2.8,
+  upraised: 1.6,
+  uprights: 2,
+  uprising: 3.1,
+  uprooted: 2.4,
+  upstaged: 2.3,
+  upstairs: 4.8,
+  upstarts: 1.8,
+  upstream: 3,
+  upturned: 2.2,
+  upwardly: 2.1,
+  urgently: 3.1,
+  urinated: 2.4,
+  urinates: 1.3,
+  usefully: 1.8,
+  usurious: 1.3,
+  usurpers: 1.3,
+  usurping: 1.9,
+  utensils: 2.8,
+  utilized: 2.5,
+  utilizes: 1.6,
+  uttering: 2.1,
+  vacantly: 1.3,
+  vacating: 1.9,
+  vacation: 4.5,
+  vaccines: 2.7,
+  vacuumed: 2.8,
+  vagabond: 2.7,
+  vagaries: 1.8,
+  vagrancy: 2.7,
+  vagrants: 2.3,
+  valances: 1.3,
+  valences: 1.8,
+  valeting: 1.8,
+  validate: 2.9,
+  validity: 2.8,
+  valorous: 1.8,
+  valuable: 4.2,
+  vamoosed: 1.9,
+  vampires: 4,
+  vanadium: 1.3,
+  vanguard: 2.7,
+  vanillas: 1.3,
+  vanished: 3.7,
+  vanishes: 2.9,
+  vanities: 2.3,
+  vanquish: 3.7,
+  vaporize: 2.5,
+  vaporous: 1.8,
+  variable: 2.9,
+  variably: 1.3,
+  variance: 2.6,
+  variants: 1.6,
+  varicose: 2.4,
+  varmints: 2.6,
+  vascular: 3.2,
+  vastness: 2.4,
+  vaulting: 2.3,
+  vectored: 1.6,
+  vehement: 2.1,
+  vehicles: 3.8,
+  velocity: 3.4,
+  venality: 1.8,
+  vendetta: 3.1,
+  veneered: 1.3,
+  venerate: 1.3,
+  venereal: 2.7,
+  vengeful: 3,
+  venomous: 2.7,
+  ventured: 2.7,
+  ventures: 2.8,
+  veracity: 2.6,
+  verandas: 1.3,
+  verbally: 2.9,
+  verbatim: 2.5,
+  verbiage: 2.4,
+  verdicts: 2.3,
+  verified: 3.3,
+  verifies: 2.3,
+  verities: 1.3,
+  vermouth: 3,
+  versions: 3.1,
+  vertebra: 2.8,
+  vertical: 3.4,
+  vertices: 1.6,
+  vesicles: 1.8,
+  vestiges: 2.1,
+  vestment: 1.6,
+  veterans: 3.3,
+  vexation: 1.8,
+  viaducts: 1.6,
+  vibrated: 1.9,
+  vibrates: 2.5,
+  vibrator: 3.1,
+  vicarage: 1.8,
+  viceroys: 1.8,
+  vicinity: 3.5,
+  victuals: 2.1,
+  viewings: 1.8,
+  vigilant: 2.9,
+  vigorous: 2.8,
+  vileness: 1.3,
+  vilified: 2.1,
+  villager: 2.3,
+  villages: 3.4,
+  villains: 3.2,
+  villainy: 2.5,
+  vinegary: 1.8,
+  vineyard: 3.4,
+  vintages: 1.3,
+  violated: 3.7,
+  violates: 2.9,
+  violator: 2.2,
+  violence: 4.4,
+  virginal: 2.7,
+  virility: 2.7,
+  virology: 1.6,
+  virtuoso: 2.7,
+  virtuous: 3.2,
+  virulent: 2.3,
+  visceral: 2.2,
+  viscount: 2,
+  visiting: 4.2,
+  visitors: 4,
+  visually: 2.9,
+  vitality: 2.8,
+  vitamins: 3.6,
+  vitiated: 1.3,
+  vitreous: 2.2,
+  vivacity: 1.3,
+  vivified: 1.3,
+  vocalist: 2.4,
+  vocalize: 2.1,
+  vocation: 2.9,
+  volatile: 3.1,
+  volcanic: 3,
+  volition: 2.5,
+  volleyed: 1.6,
+  voltages: 1.3,
+  vomiting: 3.5,
+  voodooed: 1.3,
+  vortexes: 1.3,
+  vouchers: 2.7,
+  vouching: 2,
+  voyagers: 1.6,
+  voyaging: 1.6,
+  vulgarly: 1.3,
+  vultures: 3.4,
+  waddling: 2.1,
+  waffling: 2,
+  wagering: 2.3,
+  waggling: 1.9,
+  wainscot: 1.6,
+  waitress: 4.1,
+  walkouts: 2.1,
+  walkways: 1.8,
+  walleyed: 2.2,
+  walleyes: 1.3,
+  walloped: 1.8,
+  wallowed: 1.8,
+  walruses: 1.3,
+  waltzing: 2.9,
+  wandered: 3.5,
+  wanderer: 2.8,
+  wannabes: 2.5,
+  wantonly: 2.3,
+  warblers: 1.3,
+  warbling: 2,
+  wardrobe: 3.8,
+  wardroom: 2.4,
+  warheads: 3.2,
+  warhorse: 2.4,
+  wariness: 1.6,
+  warlocks: 3.2,
+  warlords: 2.7,
+  warnings: 3.2,
+  warrants: 3.5,
+  warranty: 2.9,
+  warriors: 3.8,
+  warships: 2.8,
+  warthogs: 1.8,
+  washable: 2.1,
+  washbowl: 1.3,
+  washouts: 1.8,
+  washroom: 3.2,
+  washtubs: 1.9,
+  wasteful: 2.8,
+  wastrels: 1.6,
+  watchdog: 3,
+  watchers: 3,
+  watchful: 2.6,
+  watching: 5,
+  watchman: 3.4,
+  watchmen: 2.2,
+  waterbed: 2.7,
+  watering: 3.3,
+  waterway: 2.1,
+  waveform: 1.3,
+  wavering: 2.5,
+  waxworks: 2,
+  wayfarer: 2,
+  weakened: 3.2,
+  weakling: 2.9,
+  weakness: 3.9,
+  weaponry: 3,
+  wearable: 1.8,
+  weariest: 1.6,
+  wearying: 1.8,
+  weaseled: 1.9,
+  weathers: 2.9,
+  websites: 2.8,
+  weddings: 3.7,
+  weekdays: 2.5,
+  weekends: 3.9,
+  weeklies: 2.1,
+  weighing: 3.4,
+  weighted: 2.6,
+  weirdest: 3.4,
+  welcomed: 3.3,
+  welcomes: 3,
+  welshing: 2.1,
+  werewolf: 3.6,
+  westerly: 2.2,
+  westerns: 2.9,
+  westward: 2.7,
+  wetbacks: 2,
+  wetlands: 2.9,
+  whacking: 3.1,
+  whatever: 5.4,
+  wheedled: 1.3,
+  wheedles: 1.3,
+  wheeling: 2.9,
+  wheezing: 2.9,
+  whenever: 4.5,
+  wherever: 4.5,
+  whetting: 1.3,
+  whiffing: 1.6,
+  whimpers: 3.2,
+  whinnied: 1.3,
+  whinnies: 2.8,
+  whiplash: 3.2,
+  whippets: 1.6,
+  whipping: 3.3,
+  whirling: 2.8,
+  whirring: 3.4,
+  whiskers: 3.3,
+  whiskeys: 2.4,
+  whisking: 2.1,
+  whispers: 3.7,
+  whistled: 2.7,
+  whistler: 3.2,
+  whistles: 3.6,
+  whitened: 1.3,
+  whittled: 2.2,
+  whittler: 1.9,
+  whittles: 1.6,
+  whizzing: 2.6,
+  whodunit: 2.2,
+  whomever: 3.1,
+  whooping: 3.3,
+  whooshed: 1.8,
+  whooshes: 2.2,
+  whoppers: 2.7,
+  whopping: 2.8,
+  wickedly: 2.3,
+  widening: 2.4,
+  widowers: 2.1,
+  wielding: 2.4,
+  wigglers: 2,
+  wiggling: 2.8,
+  wildcats: 3.2,
+  wildfire: 3,
+  wildlife: 3.3,
+  wildness: 2.4,
+  windbags: 1.3,
+  windburn: 1.3,
+  windfall: 2.6,
+  windiest: 1.8,
+  windlass: 1.3,
+  windmill: 3.1,
+  windpipe: 3,
+  windsock: 1.3,
+  windsurf: 1.6,
+  windward: 2,
+  wineries: 1.3,
+  wingless: 1.6,
+  wingspan: 2.3,
+  wingtips: 1.6,
+  winnings: 3.2,
+  winnowed: 1.3,
+  wintered: 1.9,
+  wireless: 3.4,
+  wiretaps: 2.5,
+  wiseacre: 2,
+  wishbone: 2.7,
+  wisteria: 3.2,
+  witchery: 1.8,
+  witching: 2.4,
+  withdraw: 3.8,
+  withdrew: 3,
+  withered: 3,
+  withheld: 3,
+  withhold: 3,
+  wittiest: 2,
+  wizardry: 2.6,
+  wobbling: 2.3,
+  woefully: 2.3,
+  womanish: 2.1,
+  womanize: 1.3,
+  wondered: 4.2,
+  wondrous: 3.2,
+  woodbine: 1.8,
+  woodcock: 1.9,
+  woodland: 3,
+  woodpile: 2.3,
+  woodshed: 2.6,
+  woodsman: 2.7,
+  woodsmen: 2.1,
+  woodwind: 2.5,
+  woodwork: 2.9,
+  woodworm: 1.3,
+  wordings: 1.3,
+  wordplay: 2.2,
+  workable: 2.5,
+  workaday: 2.1,
+  workbook: 2.1,
+  workdays: 1.6,
+  workfare: 1.3,
+  workings: 2.9,
+  workload: 2.9,
+  workouts: 2.4,
+  workshop: 3.4,
+  workweek: 1.8,
+  wormhole: 3.3,
+  wormwood: 2.7,
+  worrying: 4.2,
+  worsened: 2.2,
+  worships: 3.1,
+  worthier: 2,
+  worthies: 1.8,
+  worthily: 1.8,
+  wounding: 2.5,
+  wrangled: 2,
+  wrangler: 2.3,
+  wrappers: 2.8,
+  wrapping: 3.5,
+  wrathful: 2,
+  wreaking: 2.3,
+  wreathed: 1.3,
+  wreckage: 3.3,
+  wreckers: 1.8,
+  wrecking: 3.3,
+  wrenched: 2.5,
+  wrenches: 2.5,
+  wresting: 1.3,
+  wrestled: 3,
+  wrestler: 3.3,
+  wrestles: 1.8,
+  wretched: 3.6,
+  wretches: 2.5,
+  wriggled: 1.6,
+  wriggles: 1.6,
+  wringing: 2.5,
+  wrinkled: 3.2,
+  wrinkles: 3.3,
+  writhing: 2.6,
+  writings: 3,
+  wrongest: 1.8,
+  wrongful: 3,
+  yachting: 2.5,
+  yardarms: 1.6,
+  yarmulke: 2.6,
+  yearbook: 3.7,
+  yearling: 2.4,
+  yearning: 3.2,
+  yellowed: 1.3,
+  yielding: 2.6,
+  yodelers: 1.6,
+  yodeling: 2.4,
+  youngest: 3.7,
+  youngish: 1.3,
+  yourself: 5.6,
+  youthful: 3.2,
+  yuckiest: 1.3,
+  yuletide: 2.7,
+  yummiest: 1.3,
+  zeppelin: 3.1,
+  zillions: 2.1,
+  zippered: 1.8,
+  zodiacal: 1.6,
+  zucchini: 3,
+  zwieback: 1.6
+};
@@ -0,0 +1,6856 @@
+// src/data/wordFrequency/frequency9.js
+//
+// 9-LETTER WORD FREQUENCY (generated by scripts/buildWordFrequency.js - do not edit by hand)
+//
+// Zipf frequency (log10 of occurrences per billion words) from SUBTLEX-US film
+// subtitles. ~1 = rare, 3 = uncommon, 4-5 = everyday words. Words that never
+// appear in the corpus are left out (treated as 0).
+//
+// Source: subtlex-word-frequencies npm package (ISC, Copyright (c) 2015 Zeke Sikelianos)
+
+/**
+ * Commonness score per word
+ * Total: 6840 of 8960 words found in the corpus
+ */
+export const WORD_FREQUENCY = {
+  abandoned: 4.1,
+  abatement: 1.8,
+  abdicated: 2.1,
+  abdicates: 1.3,
+  abdominal: 3.5,
+  abductees: 2.5,
+  abducting: 2.5,
+  abduction: 3.6,
+  abductors: 2.3,
+  abhorrent: 2.2,
+  abilities: 3.8,
+  ablutions: 1.9,
+  abolished: 2.6,
+  abolishes: 1.3,
+  abolition: 2.3,
+  abominate: 1.8,
+  aborigine: 1.9,
+  abortions: 2.8,
+  abounding: 1.9,
+  abrasions: 3,
+  abrasives: 1.9,
+  abridging: 1.6,
+  abrogated: 1.6,
+  abscessed: 1.8,
+  abscesses: 2.1,
+  absconded: 2,
+  absentees: 1.9,
+  absenting: 1.6,
+  absolutes: 2.6,
+  absolving: 2,
+  absorbent: 2.2,
+  absorbing: 2.7,
+  abstained: 1.9,
+  abstinent: 1.8,
+  abstracts: 2.1,
+  absurdity: 2.8,
+  abundance: 2.9,
+  abutments: 1.3,
+  abysmally: 1.3,
+  academics: 2.8,
+  academies: 2.1,
+  accepting: 3.6,
+  accessing: 3,
+  accession: 2.1,
+  accessory: 3.5,
+  accidents: 3.8,
+  acclaimed: 2.6,
+  acclimate: 2.2,
+  accolades: 2.2,
+  accompany: 3.7,
+  according: 4.6,
+  accordion: 3.1,
+  accosting: 1.9,
+  accounted: 3.5,
+  acetylene: 2.7,
+  achievers: 2.2,
+  achieving: 2.9,
+  acoustics: 2.6,
+  acquiesce: 1.8,
+  acquiring: 2.9,
+  acquittal: 2.9,
+  acquitted: 3.2,
+  acrobatic: 2.4,
+  activated: 3.6,
+  activates: 2.5,
+  activists: 2.5,
+  actresses: 3.4,
+  actuality: 2.7,
+  actualize: 1.6,
+  actuarial: 2.2,
+  actuaries: 1.3,
+  actuating: 1.3,
+  actuators: 1.6,
+  acuteness: 1.3,
+  adamantly: 1.6,
+  adaptable: 2.5,
+  addicting: 1.8,
+  addiction: 3.6,
+  addictive: 3,
+  additions: 2.3,
+  additives: 2.3,
+  addressed: 3.6,
+  addressee: 2.1,
+  addresses: 3.5,
+  adenoidal: 1.3,
+  adeptness: 1.3,
+  adherence: 2.2,
+  adherents: 1.3,
+  adhesives: 1.3,
+  adiabatic: 1.3,
+  adjective: 2.7,
+  adjoining: 3,
+  adjourned: 3.7,
+  adjusters: 2.1,
+  adjusting: 3.4,
+  adjutants: 1.3,
+  admirable: 3.4,
+  admirably: 2.6,
+  admiralty: 2.8,
+  admission: 3.6,
+  admitting: 3.5,
+  admixture: 1.3,
+  adoptions: 2.1,
+  adoration: 2.8,
+  adoringly: 1.8,
+  adornment: 1.9,
+  adulation: 2.4,
+  adulterer: 2.6,
+  adulthood: 2.9,
+  advancing: 3.2,
+  advantage: 4.3,
+  adventure: 4.1,
+  adverbial: 1.8,
+  adversary: 3.2,
+  adversely: 2.3,
+  adversity: 3,
+  advertise: 3.2,
+  advisable: 2.9,
+  advisedly: 2,
+  advocated: 2.5,
+  advocates: 2.5,
+  aerialist: 1.3,
+  aerospace: 3,
+  aesthetes: 1.3,
+  aesthetic: 2.8,
+  affecting: 3.4,
+  affection: 3.9,
+  affidavit: 3.3,
+  affiliate: 2.5,
+  affirming: 1.8,
+  afflicted: 3.1,
+  affluence: 2.1,
+  affording: 2.2,
+  affronted: 1.6,
+  aforesaid: 1.9,
+  aftercare: 2,
+  afterglow: 2.5,
+  afterlife: 3.2,
+  aftermath: 3,
+  afternoon: 5,
+  afterward: 3.3,
+  aggravate: 2.9,
+  aggregate: 2.3,
+  aggressor: 2.8,
+  aggrieved: 2.3,
+  agitating: 2.1,
+  agitation: 2.7,
+  agitators: 2.4,
+  agonizing: 2.8,
+  agreeable: 3.2,
+  agreeably: 1.8,
+  agreement: 4.2,
+  aimlessly: 2.6,
+  airfields: 2.1,
+  airlifted: 2.3,
+  airliners: 2.1,
+  airplanes: 3.5,
+  airstrips: 1.8,
+  airworthy: 1.3,
+  alabaster: 2.8,
+  albatross: 2.9,
+  alchemist: 2.4,
+  alcoholic: 3.8,
+  alertness: 1.9,
+  algebraic: 1.8,
+  algorithm: 2.7,
+  alienated: 2.9,
+  alighting: 1.6,
+  alignment: 3.1,
+  alkaloids: 1.8,
+  allegedly: 3.3,
+  allergens: 1.3,
+  allergies: 3.4,
+  allergist: 1.6,
+  alleviate: 2.7,
+  alleyways: 2.2,
+  alliances: 2.5,
+  alligator: 3.5,
+  allocated: 2.1,
+  allocates: 1.6,
+  allotment: 2.6,
+  allotting: 1.3,
+  allowable: 2,
+  allowance: 3.7,
+  allusions: 2.1,
+  alongside: 3.6,
+  alternate: 3.5,
+  altimeter: 2.7,
+  altitudes: 2.3,
+  amaryllis: 2,
+  amazement: 2.8,
+  amazingly: 3.3,
+  ambergris: 2.3,
+  ambiguity: 2.4,
+  ambiguous: 2.9,
+  ambitions: 3.3,
+  ambitious: 3.7,
+  ambulance: 4.4,
+  ambushing: 2.1,
+  amendment: 3.6,
+  amenities: 2.9,
+  amethysts: 1.6,
+  amidships: 2.5,
+  amnesiacs: 1.3,
+  amnestied: 1.3,
+  amorality: 1.6,
+  amorphous: 2.1,
+  amortized: 2,
+  amortizes: 1.3,
+  amounting: 1.8,
+  ampersand: 1.8,
+  amphibian: 2.6,
+  amplified: 2.5,
+  amplifier: 2.5,
+  amplifies: 2.2,
+  amplitude: 2.1,
+  amputated: 2.7,
+  amputates: 1.6,
+  amusement: 3.6,
+  amusingly: 1.9,
+  anacondas: 2.3,
+  anaerobic: 1.9,
+  analgesia: 1.8,
+  analgesic: 2,
+  analogies: 2.1,
+  analogous: 1.9,
+  analogues: 1.8,
+  analyzers: 1.6,
+  analyzing: 3.3,
+  anarchism: 1.6,
+  anarchist: 2.8,
+  anatomies: 1.3,
+  anatomist: 1.8,
+  ancestors: 3.7,
+  ancestral: 2.8,
+  anchorage: 2.8,
+  anchoring: 1.9,
+  anchorman: 2.5,
+  anchormen: 1.9,
+  anchovies: 3,
+  ancillary: 2.3,
+  anecdotal: 2.6,
+  anecdotes: 2.9,
+  aneurysms: 2.1,
+  angleworm: 1.3,
+  angstroms: 1.3,
+  anguished: 2.4,
+  anguishes: 1.3,
+  animating: 1.9,
+  animation: 3.1,
+  animators: 1.3,
+  animosity: 2.8,
+  annotated: 1.8,
+  announced: 3.8,
+  announcer: 4.1,
+  announces: 3.1,
+  annoyance: 2.7,
+  annuities: 2,
+  annulling: 1.6,
+  annulment: 3.2,
+  anointing: 2.4,
+  anomalies: 2.9,
+  anomalous: 2.5,
+  anonymity: 3,
+  anonymous: 3.9,
+  anopheles: 1.3,
+  anorexics: 1.9,
+  answering: 4.1,
+  antarctic: 2.8,
+  antelopes: 1.6,
+  anterooms: 1.6,
+  anthology: 2.4,
+  antidotes: 2.2,
+  antipasto: 2.2,
+  antipathy: 1.9,
+  antipodes: 1.6,
+  antiquing: 2.3,
+  antiquity: 2.4,
+  antitoxin: 2.5,
+  antitrust: 2.4,
+  antiviral: 1.3,
+  antivirus: 1.3,
+  anxieties: 2.7,
+  anxiously: 2.8,
+  anybodies: 1.3,
+  anythings: 1.3,
+  apartheid: 2.6,
+  apartment: 4.9,
+  apathetic: 2.5,
+  aperitifs: 1.3,
+  aphorisms: 2,
+  apologias: 1.3,
+  apologies: 3.9,
+  apologist: 1.3,
+  apologize: 4.7,
+  appalling: 3.3,
+  apparatus: 3.2,
+  appealing: 3.5,
+  appearing: 3.4,
+  appeasing: 1.8,
+  appellant: 2.1,
+  appellate: 2.5,
+  appendage: 2.6,
+  appetites: 3,
+  appetizer: 3.1,
+  applauded: 2.7,
+  applejack: 2.8,
+  appliance: 2.9,
+  applicant: 2.8,
+  appointed: 3.7,
+  appointee: 1.9,
+  appraisal: 2.9,
+  appraised: 2.7,
+  appraiser: 2.3,
+  apprehend: 3.2,
+  apprising: 1.8,
+  approvals: 2.1,
+  approving: 2.5,
+  aptitudes: 1.6,
+  aquariums: 2.1,
+  aqueducts: 2.1,
+  arabesque: 2,
+  arachnids: 2.4,
+  arbitrary: 3,
+  arbitrate: 1.6,
+  arboretum: 2.3,
+  archangel: 2.6,
+  archdukes: 2,
+  archenemy: 2.4,
+  archetype: 2.1,
+  architect: 3.8,
+  archiving: 1.3,
+  archivist: 1.9,
+  arguments: 3.7,
+  armadillo: 3.5,
+  armaments: 2.6,
+  armchairs: 1.8,
+  armistice: 2.6,
+  arpeggios: 2.3,
+  arraigned: 2.8,
+  arrangers: 1.8,
+  arranging: 3.3,
+  arresting: 3.6,
+  arrogance: 3.5,
+  arrogates: 1.3,
+  arrowhead: 2.6,
+  arrowroot: 1.3,
+  arsonists: 2.3,
+  arthritic: 2.4,
+  arthritis: 3.3,
+  arthropod: 1.3,
+  artichoke: 2.7,
+  artifacts: 3.2,
+  artifices: 1.3,
+  artillery: 3.7,
+  artlessly: 1.3,
+  ascendant: 2.8,
+  ascending: 2.8,
+  ascension: 2.9,
+  ascertain: 3,
+  ascribing: 1.3,
+  asparagus: 3,
+  aspersion: 1.3,
+  aspirants: 1.8,
+  aspirated: 2.5,
+  assailant: 3.2,
+  assailing: 1.6,
+  assassins: 3.4,
+  assaulted: 3.6,
+  assembled: 3.5,
+  assembles: 2.2,
+  asserting: 2.4,
+  assertion: 2.4,
+  assertive: 2.7,
+  assessing: 2.7,
+  assessors: 1.3,
+  assiduous: 1.6,
+  assigning: 2.9,
+  assistant: 4.5,
+  assisting: 3.2,
+  associate: 4,
+  assurance: 3.3,
+  assuredly: 2.5,
+  asterisks: 1.8,
+  asteroids: 2.8,
+  asthmatic: 2.6,
+  astounded: 2.4,
+  astrakhan: 1.8,
+  astrology: 3,
+  astronaut: 3.6,
+  astronomy: 3.1,
+  asymmetry: 1.8,
+  atavistic: 2,
+  atheistic: 1.6,
+  athletics: 2.8,
+  atonality: 1.3,
+  atonement: 2.5,
+  atrocious: 2.8,
+  atrophied: 2.5,
+  atrophies: 1.8,
+  attaching: 2.6,
+  attackers: 2.6,
+  attacking: 3.9,
+  attaining: 2,
+  attempted: 3.9,
+  attendant: 3.5,
+  attending: 3.9,
+  attention: 5,
+  attentive: 3.1,
+  attenuate: 1.8,
+  attesting: 1.8,
+  attitudes: 3.1,
+  attorneys: 3.6,
+  attracted: 4.1,
+  attribute: 2.9,
+  attrition: 2.2,
+  auctioned: 2.7,
+  audacious: 2.7,
+  audiences: 3.3,
+  auditions: 3.4,
+  augmented: 2.1,
+  austerely: 1.3,
+  austerity: 2,
+  authentic: 3.7,
+  authority: 4.3,
+  authorize: 3.3,
+  autocracy: 1.6,
+  autograph: 3.9,
+  automated: 3.2,
+  automates: 1.6,
+  automatic: 3.8,
+  automaton: 2.3,
+  autopilot: 3,
+  autopsied: 2,
+  autopsies: 2.7,
+  auxiliary: 3.3,
+  available: 4.4,
+  avalanche: 3.5,
+  averaging: 2.4,
+  avocation: 2.2,
+  avoidable: 1.6,
+  avoidance: 2.7,
+  avuncular: 2.1,
+  awakening: 3.1,
+  awareness: 3.4,
+  awesomely: 2,
+  awestruck: 1.8,
+  awfulness: 2,
+  awkwardly: 2.4,
+  axiomatic: 1.6,
+  ayatollah: 2.4,
+  babushkas: 1.3,
+  bacchanal: 2.2,
+  bachelors: 3.1,
+  backaches: 2.2,
+  backbiter: 1.3,
+  backboard: 2.7,
+  backbones: 2.1,
+  backdated: 1.3,
+  backdrops: 1.6,
+  backfield: 2.5,
+  backfired: 3,
+  backfires: 2.4,
+  backhands: 1.6,
+  backpacks: 2.7,
+  backpedal: 1.6,
+  backrests: 1.3,
+  backsides: 2.5,
+  backslash: 1.9,
+  backslide: 1.3,
+  backstage: 3.7,
+  backtrack: 2.9,
+  backwards: 4.1,
+  backwater: 2.8,
+  backwoods: 2.7,
+  backyards: 2.4,
+  bacterial: 2.9,
+  bacterium: 2.2,
+  badgering: 3,
+  badminton: 2.6,
+  bagatelle: 1.6,
+  bailiwick: 2,
+  balalaika: 2,
+  balancing: 2.9,
+  balconies: 2.7,
+  balladeer: 1.8,
+  ballerina: 3.4,
+  ballistic: 3.1,
+  ballooned: 1.8,
+  balloting: 1.9,
+  ballparks: 1.6,
+  ballpoint: 2.6,
+  ballrooms: 1.3,
+  ballsiest: 1.9,
+  bamboozle: 1.8,
+  bandaging: 2.3,
+  bandannas: 2.1,
+  bandoleer: 1.8,
+  bandstand: 2.9,
+  bandwagon: 2.7,
+  bandwidth: 2.7,
+  banishing: 2.1,
+  banisters: 1.6,
+  bankbooks: 1.6,
+  banknotes: 2.3,
+  bankrolls: 1.6,
+  bankrupts: 1.9,
+  bantering: 1.8,
+  baptismal: 2.1,
+  baptizing: 1.8,
+  barbarian: 3.3,
+  barbarism: 2.5,
+  barbarity: 1.8,
+  barbarous: 2.3,
+  barbecued: 2.9,
+  barbecues: 2.8,
+  barbering: 1.3,
+  barefaced: 1.9,
+  bargained: 2.9,
+  bargainer: 1.6,
+  baritones: 1.8,
+  barnacles: 2.5,
+  barnstorm: 1.3,
+  barometer: 2.8,
+  barracuda: 2.8,
+  barreling: 2.3,
+  barrettes: 1.9,
+  barricade: 3.2,
+  barrister: 2.9,
+  bartender: 4,
+  bartering: 1.9,
+  baseballs: 2.8,
+  baseboard: 2.2,
+  baselines: 1.3,
+  basements: 2.8,
+  bashfully: 1.3,
+  basically: 4.4,
+  basilicas: 1.3,
+  bassinets: 1.8,
+  bathhouse: 2.7,
+  bathrobes: 2.5,
+  bathrooms: 3.4,
+  battalion: 3.8,
+  batteries: 3.9,
+  battering: 2.7,
+  bayoneted: 1.8,
+  beachhead: 2.8,
+  bearskins: 1.3,
+  beauteous: 2.4,
+  beautiful: 5.4,
+  beavering: 1.3,
+  beckoning: 2.5,
+  bedazzled: 2.2,
+  bedeviled: 1.8,
+  bedfellow: 2.1,
+  bedridden: 2.5,
+  bedspread: 2.7,
+  bedsteads: 1.3,
+  beechnuts: 1.3,
+  beefsteak: 2.9,
+  beekeeper: 2.2,
+  befalling: 1.3,
+  befitting: 2.6,
+  befriends: 2,
+  befuddled: 2.2,
+  begetting: 2,
+  beginners: 2.9,
+  beginning: 4.8,
+  begrudged: 1.6,
+  begrudges: 1.3,
+  beguiling: 2.2,
+  beheading: 2.3,
+  behemoths: 1.8,
+  beholding: 2.1,
+  believers: 2.9,
+  believing: 4,
+  belittled: 2.1,
+  belittles: 1.8,
+  bellicose: 1.9,
+  bellowing: 2.5,
+  bellyache: 2.5,
+  belonging: 3.3,
+  bemoaning: 1.6,
+  benchmark: 1.8,
+  benefited: 2.6,
+  benighted: 2,
+  bequeaths: 1.3,
+  bereaving: 1.3,
+  beryllium: 2.7,
+  besetting: 1.3,
+  bestowing: 2.1,
+  bestrides: 1.6,
+  betokened: 1.6,
+  betrayals: 2.2,
+  betrayers: 1.9,
+  betraying: 3.3,
+  betrothal: 2.3,
+  betrothed: 3,
+  bettering: 1.9,
+  beverages: 3.1,
+  bewilders: 1.6,
+  bewitched: 3.2,
+  bewitches: 1.3,
+  bickering: 3.1,
+  bicuspids: 1.9,
+  bicycling: 1.8,
+  bifurcate: 1.6,
+  bigmouths: 1.8,
+  bigotries: 1.6,
+  bilateral: 2.8,
+  bilingual: 2.6,
+  billboard: 3.1,
+  billeting: 2.1,
+  billfolds: 1.3,
+  billiards: 2.8,
+  billionth: 1.9,
+  billowing: 2,
+  bimonthly: 2.2,
+  binocular: 1.3,
+  biography: 3.2,
+  biologist: 3.1,
+  biorhythm: 1.6,
+  biosphere: 2,
+  birdbaths: 1.3,
+  birdhouse: 2.4,
+  birthdays: 3.5,
+  birthmark: 3.2,
+  birthrate: 1.3,
+  bisecting: 1.3,
+  bisection: 1.3,
+  bisexuals: 2,
+  bitterest: 1.9,
+  bizarrely: 2.1,
+  blackball: 2.2,
+  blackbird: 2.9,
+  blackened: 2.5,
+  blackhead: 1.9,
+  blackjack: 3.6,
+  blacklist: 2.7,
+  blackmail: 3.9,
+  blackness: 2.9,
+  blackouts: 3.2,
+  blameless: 2.6,
+  blanching: 1.8,
+  blandness: 2,
+  blanketed: 2.1,
+  blankness: 1.3,
+  blaspheme: 2.4,
+  blasphemy: 3.2,
+  blatantly: 2.7,
+  bleachers: 3.1,
+  bleaching: 2.7,
+  bleakness: 1.3,
+  blemished: 1.3,
+  blemishes: 2.4,
+  blessedly: 1.8,
+  blessings: 3.6,
+  blighting: 1.3,
+  blindfold: 3.2,
+  blindness: 3.1,
+  blindside: 1.9,
+  blistered: 2.4,
+  blizzards: 2.2,
+  blockaded: 1.8,
+  blockades: 1.9,
+  blockages: 1.8,
+  blockhead: 2.9,
+  blondness: 1.3,
+  bloodbath: 3.1,
+  bloodiest: 2.5,
+  bloodless: 1.9,
+  bloodshed: 3.3,
+  bloodshot: 2.7,
+  blossomed: 2.5,
+  blotching: 1.3,
+  blowtorch: 2.9,
+  blubbered: 1.6,
+  bluebells: 2.2,
+  blueberry: 3.4,
+  bluebirds: 2.7,
+  bluegrass: 2.9,
+  bluenoses: 1.6,
+  blueprint: 3.1,
+  blundered: 2.1,
+  blunderer: 1.6,
+  bluntness: 2.3,
+  blustered: 1.3,
+  boardroom: 2.9,
+  boardwalk: 3.3,
+  boatswain: 2.7,
+  bobwhites: 2.1,
+  bodyguard: 3.8,
+  bohemians: 1.8,
+  bolstered: 1.6,
+  bombarded: 2.8,
+  bombastic: 2.3,
+  bombshell: 3,
+  boneheads: 1.9,
+  boogieing: 1.3,
+  bookcases: 1.9,
+  bookmaker: 2.7,
+  bookmarks: 2.3,
+  bookshelf: 2.5,
+  bookshops: 1.3,
+  bookstore: 3.6,
+  bookworms: 2.1,
+  boomerang: 3,
+  boondocks: 2.6,
+  bootblack: 1.9,
+  bootstrap: 1.8,
+  bordering: 2.5,
+  borrowers: 1.6,
+  borrowing: 3.5,
+  botanical: 3,
+  botanists: 2.1,
+  bothering: 4.3,
+  bottoming: 2.1,
+  boulevard: 3.7,
+  bounciest: 1.3,
+  boundless: 2.5,
+  bounteous: 1.6,
+  bountiful: 2.9,
+  bourgeois: 3.1,
+  boutiques: 2.1,
+  bowlegged: 2.4,
+  boycotted: 2.1,
+  boyfriend: 4.9,
+  bracelets: 3.3,
+  bracketed: 1.6,
+  braggarts: 1.3,
+  brainiest: 1.3,
+  brainless: 2.9,
+  brainwash: 2.6,
+  branching: 2.5,
+  brandying: 1.3,
+  brashness: 1.3,
+  brassiere: 2.7,
+  breaching: 2.4,
+  breakable: 2.2,
+  breakages: 1.6,
+  breakdown: 3.9,
+  breakfast: 4.8,
+  breakneck: 2,
+  breathers: 1.8,
+  breathing: 4.4,
+  breweries: 2.1,
+  brickbats: 1.3,
+  briefcase: 3.9,
+  briefings: 2.6,
+  brightens: 2.2,
+  brightest: 3.3,
+  brilliant: 4.6,
+  brimstone: 3.1,
+  briquette: 1.6,
+  bristling: 2,
+  broaching: 1.3,
+  broadband: 2.5,
+  broadcast: 4,
+  broadened: 2.1,
+  broadloom: 1.3,
+  broadside: 2.7,
+  brochures: 3.1,
+  brokerage: 2.7,
+  brokering: 2.2,
+  bronchial: 2.5,
+  brotherly: 2.9,
+  brownouts: 1.6,
+  brunching: 1.3,
+  brunettes: 2.5,
+  brushwood: 1.3,
+  brutality: 3.3,
+  brutalize: 1.9,
+  bubbliest: 1.3,
+  buccaneer: 2.1,
+  buckboard: 2.7,
+  bucketful: 1.9,
+  bucketing: 1.3,
+  buckskins: 1.3,
+  buckteeth: 2,
+  bucktooth: 2.1,
+  buckwheat: 2.7,
+  buckyball: 1.3,
+  budgetary: 2.1,
+  budgeting: 1.9,
+  buffaloed: 1.9,
+  buffaloes: 2.4,
+  buffering: 1.9,
+  buffeting: 1.3,
+  buildings: 4,
+  bulkheads: 1.9,
+  bulldozed: 1.8,
+  bulldozer: 3.1,
+  bulldozes: 1.6,
+  bulletins: 2.5,
+  bullfight: 2.5,
+  bullfinch: 1.8,
+  bullfrogs: 1.6,
+  bullhorns: 1.6,
+  bullrings: 1.3,
+  bullshits: 1.8,
+  bulrushes: 1.8,
+  bumblebee: 2.8,
+  bumptious: 1.9,
+  bungalows: 2.4,
+  bungholes: 1.6,
+  bunkhouse: 2.9,
+  burlesque: 2.8,
+  burliness: 1.3,
+  burnished: 1.6,
+  burrowing: 2.6,
+  bushwhack: 2.3,
+  butchered: 3.2,
+  buttercup: 3.4,
+  butterfat: 1.6,
+  butterfly: 3.7,
+  buttering: 2.4,
+  butternut: 2.2,
+  buttoning: 2.1,
+  buzzwords: 1.6,
+  bypassing: 2.3,
+  byproduct: 2.4,
+  bystander: 2.9,
+  cablegram: 2.3,
+  cacophony: 2.4,
+  cafeteria: 3.8,
+  calcified: 2.2,
+  calcining: 1.6,
+  calculate: 3.3,
+  calendars: 2.8,
+  calibrate: 2.4,
+  calloused: 2.2,
+  callously: 2,
+  camcorder: 2.8,
+  camellias: 2.4,
+  cameraman: 3.3,
+  cameramen: 2.5,
+  campaigns: 3,
+  campanile: 1.3,
+  campfires: 2.5,
+  campsites: 2.1,
+  camshafts: 1.6,
+  canceling: 3.2,
+  cancerous: 2.4,
+  candidacy: 2.8,
+  candidate: 3.9,
+  canisters: 3.3,
+  canneries: 1.6,
+  cannibals: 3,
+  cannonade: 1.3,
+  canonical: 1.3,
+  canonized: 1.6,
+  cantering: 1.3,
+  canvasing: 1.3,
+  canvassed: 2.2,
+  canvasses: 1.9,
+  capacious: 1.8,
+  capacitor: 2.4,
+  capillary: 2.4,
+  capsizing: 1.9,
+  captaincy: 1.6,
+  captained: 2.2,
+  captioned: 2.1,
+  captivate: 2.2,
+  captivity: 3.1,
+  capturing: 3.2,
+  carbonate: 2.3,
+  carbuncle: 2.4,
+  carcasses: 2.7,
+  carcinoma: 2.3,
+  cardboard: 3.4,
+  cardigans: 2.1,
+  cardinals: 2.8,
+  cardsharp: 1.8,
+  careening: 1.8,
+  careering: 1.3,
+  carefully: 4.4,
+  caregiver: 2.5,
+  caressing: 2.6,
+  caretaker: 3.4,
+  carillons: 1.3,
+  carjacked: 2.5,
+  carjacker: 2,
+  carnation: 2.9,
+  carnelian: 1.3,
+  carnivals: 2.6,
+  carnivore: 2.6,
+  carousing: 2.2,
+  carpenter: 3.8,
+  carpentry: 2.7,
+  carpetbag: 1.8,
+  carpeting: 2.8,
+  carriages: 2.8,
+  carryalls: 1.3,
+  cartilage: 2.9,
+  cartooned: 1.3,
+  cartridge: 3,
+  cartwheel: 2.5,
+  cascading: 2.3,
+  caseloads: 1.8,
+  casements: 1.6,
+  cashiered: 1.6,
+  casserole: 3.2,
+  cassettes: 2.8,
+  castanets: 1.9,
+  castaways: 2,
+  castigate: 1.3,
+  castrated: 2.8,
+  casuistry: 1.6,
+  cataclysm: 2.3,
+  catacombs: 2.7,
+  catalepsy: 2.2,
+  cataloged: 2.1,
+  cataloger: 1.3,
+  catalysts: 1.3,
+  catalytic: 2.1,
+  catalyzed: 1.8,
+  catamaran: 1.8,
+  catapults: 2.4,
+  cataracts: 2.6,
+  catatonic: 2.9,
+  catchiest: 1.3,
+  catchment: 2,
+  catechism: 2.5,
+  catharsis: 2.5,
+  cathartic: 2.5,
+  cathedral: 3.6,
+  catheters: 2.2,
+  catnapped: 1.9,
+  cattiness: 1.3,
+  cattleman: 2.2,
+  cattlemen: 2.7,
+  cauldrons: 1.6,
+  causality: 2.1,
+  causation: 2.2,
+  causative: 1.9,
+  cauterize: 2.5,
+  cautioned: 2,
+  cavalcade: 1.9,
+  cavaliers: 2.3,
+  cavalries: 1.3,
+  cavernous: 1.8,
+  cavorting: 2.5,
+  ceasefire: 2.5,
+  ceaseless: 2.2,
+  celebrant: 1.8,
+  celebrate: 4.4,
+  celebrity: 3.9,
+  celestial: 3,
+  cellulite: 2.9,
+  celluloid: 2.7,
+  cellulose: 2.1,
+  censoring: 2.1,
+  centenary: 1.3,
+  centering: 2.3,
+  centigram: 1.3,
+  centipede: 2.6,
+  centrally: 2,
+  centuries: 3.9,
+  centurion: 2.5,
+  certainly: 5.1,
+  certainty: 3.5,
+  certified: 3.4,
+  certifies: 1.8,
+  certitude: 2,
+  cesareans: 1.6,
+  cessation: 2.3,
+  cesspools: 2.1,
+  cetaceans: 1.6,
+  chagrined: 2.2,
+  chainsaws: 2.1,
+  chairlift: 1.8,
+  challenge: 4.3,
+  chameleon: 2.9,
+  chamomile: 2.8,
+  champagne: 4.5,
+  champions: 3.6,
+  chandlers: 1.8,
+  channeled: 2,
+  chaparral: 2,
+  chaperons: 1.8,
+  chaplains: 2.2,
+  character: 4.6,
+  charbroil: 1.3,
+  charcoals: 1.9,
+  charities: 3.1,
+  charlatan: 2.9,
+  chartered: 2.9,
+  charwoman: 2.1,
+  chastened: 1.3,
+  chastised: 2,
+  chastises: 1.3,
+  chattered: 1.8,
+  chauffeur: 3.8,
+  cheapened: 2,
+  cheapness: 1.6,
+  checkbook: 3.4,
+  checkered: 2.9,
+  checklist: 2.9,
+  checkmate: 3.2,
+  checkroom: 2.4,
+  cheekbone: 2.4,
+  cheeriest: 1.6,
+  cheerless: 1.6,
+  cheesiest: 1.8,
+  chemicals: 3.8,
+  chemistry: 3.9,
+  cherished: 3.1,
+  cherishes: 2.3,
+  chestnuts: 3,
+  chicanery: 2.4,
+  chickadee: 2.4,
+  chickened: 3,
+  chickweed: 1.3,
+  chieftain: 2.5,
+  childcare: 2.1,
+  childhood: 4.2,
+  childless: 2.8,
+  childlike: 2.8,
+  chipmunks: 2.6,
+  chiropody: 1.6,
+  chiselers: 2.1,
+  chiseling: 2.3,
+  chocolate: 4.5,
+  choppered: 2,
+  chopstick: 2.4,
+  chorister: 1.3,
+  chortling: 1.6,
+  chorusing: 1.3,
+  chromatic: 1.8,
+  chronicle: 3.2,
+  chrysalis: 1.9,
+  chuckling: 3.7,
+  chunkiest: 1.3,
+  churchman: 2.1,
+  churchmen: 2.1,
+  cigarette: 4.4,
+  cigarillo: 1.3,
+  cindering: 1.6,
+  cinematic: 2.7,
+  ciphering: 1.3,
+  circadian: 2.1,
+  circuitry: 2.9,
+  circulars: 1.8,
+  circulate: 3,
+  cirrhosis: 2.7,
+  citations: 2.8,
+  citizenry: 2.6,
+  civilians: 3.8,
+  civilized: 3.8,
+  civilizes: 1.3,
+  claimants: 1.3,
+  clambakes: 1.8,
+  clambered: 1.9,
+  clammiest: 1.3,
+  clamoring: 2.8,
+  clampdown: 1.6,
+  clapboard: 1.6,
+  clarified: 2.5,
+  clarifies: 1.3,
+  clarinets: 1.6,
+  classical: 3.6,
+  classiest: 2.1,
+  classless: 1.9,
+  classmate: 3.2,
+  classroom: 3.6,
+  clavicles: 1.6,
+  cleanings: 1.3,
+  cleanness: 1.6,
+  cleansers: 1.8,
+  cleansing: 3,
+  clearance: 3.8,
+  clearings: 1.8,
+  clearness: 1.8,
+  clenching: 2.1,
+  clergyman: 2.5,
+  clergymen: 1.6,
+  cleverest: 2.8,
+  climactic: 2.3,
+  climaxing: 1.6,
+  clinching: 1.6,
+  clinician: 1.8,
+  clipboard: 2.9,
+  clippings: 3.1,
+  cloakroom: 2.8,
+  clobbered: 2.9,
+  clockwise: 2.7,
+  clockwork: 3.1,
+  cloisters: 2.1,
+  closeness: 2.8,
+  clothiers: 1.6,
+  cloudless: 2.2,
+  clubhouse: 3.2,
+  clumsiest: 1.8,
+  clustered: 1.9,
+  clutching: 2.8,
+  cluttered: 2.7,
+  coagulant: 1.8,
+  coagulate: 2.1,
+  coalesced: 1.3,
+  coalition: 3.3,
+  coastline: 2.8,
+  coauthors: 1.6,
+  cockatoos: 2.1,
+  cockerels: 1.3,
+  cockfight: 2.2,
+  cockiness: 1.8,
+  cockroach: 3.5,
+  cocktails: 3.6,
+  codifying: 1.3,
+  coexisted: 1.6,
+  coffeepot: 2.6,
+  cognition: 1.3,
+  cognitive: 2.8,
+  cognizant: 2.3,
+  cohabited: 1.3,
+  coherence: 2.2,
+  coincided: 2.3,
+  coincides: 2.4,
+  colanders: 1.3,
+  collapsed: 3.8,
+  collapses: 2.9,
+  collaring: 1.3,
+  collating: 2.4,
+  collation: 1.8,
+  colleague: 3.8,
+  collected: 3.8,
+  collector: 3.6,
+  collegian: 1.3,
+  colliding: 2.3,
+  collision: 3.4,
+  colluding: 2,
+  collusion: 2.5,
+  colonials: 2,
+  colonists: 2.8,
+  colonized: 2.2,
+  colonizer: 1.3,
+  colorfast: 1.3,
+  colorless: 2.4,
+  columbine: 3.1,
+  columnist: 3,
+  combatant: 2.3,
+  combating: 1.6,
+  combative: 2.7,
+  combining: 2.8,
+  comebacks: 2.5,
+  comedians: 3,
+  comforted: 3,
+  comforter: 2.6,
+  comically: 2.1,
+  commanded: 3.2,
+  commander: 4.6,
+  commandos: 3.1,
+  commenced: 2.7,
+  commences: 2.3,
+  commended: 2.7,
+  commented: 2.5,
+  commingle: 1.6,
+  commissar: 3,
+  committal: 2.1,
+  committed: 4.4,
+  committee: 4.3,
+  commodity: 3.2,
+  commodore: 3.6,
+  commoners: 2.8,
+  commonest: 1.8,
+  commotion: 3.3,
+  communing: 2.3,
+  communion: 3.3,
+  communism: 3.3,
+  communist: 3.9,
+  community: 4.5,
+  commuters: 2.3,
+  commuting: 2.6,
+  compacted: 1.8,
+  compacter: 1.8,
+  compactor: 2.2,
+  companies: 4.1,
+  companion: 3.8,
+  comparing: 3.3,
+  compassed: 1.6,
+  compasses: 2.1,
+  compelled: 3.4,
+  competent: 3.4,
+  competing: 3.6,
+  compiling: 2.5,
+  complains: 3.2,
+  complaint: 4,
+  completed: 3.9,
+  completes: 3,
+  complexes: 2.7,
+  compliant: 2.2,
+  complying: 2.4,
+  component: 3.2,
+  composers: 2.7,
+  composing: 3,
+  composite: 3.1,
+  composure: 2.5,
+  compounds: 2.8,
+  comprised: 2.7,
+  comprises: 1.9,
+  computers: 4,
+  computing: 2.6,
+  concealed: 3.4,
+  conceding: 2.1,
+  conceited: 3.3,
+  conceived: 3.5,
+  conceives: 1.9,
+  concerned: 4.6,
+  concerted: 1.8,
+  concertos: 1.6,
+  concierge: 3.2,
+  concisely: 1.8,
+  concluded: 3.3,
+  concludes: 3.3,
+  concocted: 2.7,
+  concourse: 2.8,
+  concubine: 3.1,
+  concurred: 2.1,
+  condemned: 3.7,
+  condensed: 2.6,
+  condenser: 2.1,
+  condenses: 2.1,
+  condiment: 2.2,
+  condition: 4.6,
+  condoning: 2.1,
+  conducive: 2.7,
+  conducted: 3.5,
+  conductor: 3.5,
+  conferred: 2.5,
+  confessed: 3.8,
+  confesses: 2.7,
+  confessor: 2.4,
+  confidant: 2.8,
+  confident: 4,
+  confiding: 2.3,
+  configure: 2.2,
+  confining: 2.5,
+  confirmed: 4.1,
+  conflicts: 3.2,
+  confluent: 1.3,
+  conformed: 3.1,
+  confounds: 2.1,
+  confronts: 2.7,
+  confusing: 4,
+  confusion: 3.9,
+  congealed: 2.1,
+  congenial: 2.3,
+  congested: 2.5,
+  congruent: 2.2,
+  congruity: 1.3,
+  conjoined: 2.4,
+  conjugate: 2.3,
+  conjurers: 1.6,
+  conjuring: 2.6,
+  connected: 4.2,
+  connector: 2.2,
+  connivers: 1.3,
+  conniving: 3,
+  connubial: 1.9,
+  conquered: 3.4,
+  conqueror: 3,
+  conquests: 2.8,
+  conscious: 3.8,
+  conscript: 1.8,
+  consensus: 3.2,
+  consented: 3.1,
+  conserved: 1.9,
+  conserves: 1.3,
+  considers: 3.3,
+  consigned: 2.4,
+  consisted: 2.7,
+  consoling: 2.8,
+  consonant: 2.3,
+  consorted: 2.1,
+  consortia: 1.3,
+  conspired: 3,
+  conspires: 2.1,
+  constable: 3.5,
+  constancy: 2.3,
+  constants: 1.9,
+  constrain: 1.6,
+  constrict: 1.8,
+  construct: 3.2,
+  construed: 2.8,
+  construes: 1.3,
+  consulate: 3.7,
+  consulted: 3.2,
+  consumers: 2.9,
+  consuming: 3,
+  contacted: 3.9,
+  contagion: 2.6,
+  contained: 3.7,
+  container: 3.6,
+  contended: 2.1,
+  contender: 3,
+  contented: 2.9,
+  contested: 2.1,
+  continent: 3.6,
+  continual: 2.5,
+  continued: 3.9,
+  continues: 4.3,
+  continuum: 3.2,
+  contorted: 2,
+  contoured: 1.9,
+  contracts: 3.8,
+  contrails: 1.3,
+  contrasts: 2.2,
+  contrived: 2.7,
+  contumely: 1.3,
+  contusing: 1.3,
+  contusion: 2.8,
+  conundrum: 2.7,
+  convening: 2.3,
+  converged: 2,
+  conversed: 2,
+  converses: 1.3,
+  converted: 3.4,
+  converter: 2.3,
+  conveying: 2.3,
+  convicted: 3.9,
+  convinced: 4.3,
+  convinces: 2.8,
+  convivial: 2.2,
+  convulsed: 1.9,
+  convulses: 1.3,
+  cookbooks: 2.3,
+  cooperate: 4,
+  copiously: 2.2,
+  copulated: 1.3,
+  copulates: 1.3,
+  copyright: 2.8,
+  cordially: 2.6,
+  cordoning: 1.6,
+  corduroys: 2.1,
+  coriander: 1.9,
+  corkscrew: 3,
+  cormorant: 2,
+  cornballs: 1.9,
+  cornbread: 3,
+  cornering: 2.3,
+  cornstalk: 1.6,
+  corollary: 2.2,
+  corporals: 2.1,
+  corporate: 4,
+  corporeal: 2.7,
+  corpulent: 1.6,
+  corpuscle: 2.5,
+  corralled: 2.1,
+  corrected: 3.4,
+  correctly: 3.8,
+  correlate: 2.6,
+  corridors: 3,
+  corroding: 1.8,
+  corrosion: 2.3,
+  corrosive: 2.6,
+  corrupted: 3.3,
+  corrupter: 1.6,
+  corruptly: 1.3,
+  cortisone: 2.8,
+  cosigning: 1.3,
+  cosmetics: 3.3,
+  cosmology: 2.1,
+  cosmonaut: 2.2,
+  cosponsor: 1.3,
+  costliest: 1.8,
+  costuming: 1.6,
+  cotillion: 3.1,
+  cotyledon: 2.1,
+  councilor: 2.2,
+  counseled: 2.5,
+  counselor: 4,
+  countable: 2.3,
+  countdown: 3.5,
+  countered: 2.4,
+  countless: 3.4,
+  countries: 4,
+  couplings: 2.3,
+  courteous: 3.1,
+  courtesan: 2.5,
+  courtiers: 2,
+  courtroom: 3.9,
+  courtship: 3.1,
+  courtyard: 3.3,
+  covenants: 2,
+  coveralls: 2.2,
+  coverings: 1.9,
+  cowardice: 3.3,
+  coworkers: 3.2,
+  crackdown: 2.3,
+  crackling: 3.1,
+  crackpots: 2.3,
+  craftiest: 1.6,
+  craftsman: 3,
+  craftsmen: 2.6,
+  cranberry: 3.3,
+  crankcase: 2.2,
+  crankiest: 1.3,
+  crappiest: 1.9,
+  crassness: 1.3,
+  craziness: 3.1,
+  creamiest: 1.3,
+  creations: 2.9,
+  creatives: 1.3,
+  creatures: 4.1,
+  crediting: 1.8,
+  creditors: 2.9,
+  credulity: 1.8,
+  credulous: 1.3,
+  creepiest: 2.1,
+  cremating: 1.9,
+  cremation: 2.9,
+  crematory: 2.4,
+  creosotes: 1.3,
+  crescendo: 2.7,
+  cretinous: 2.2,
+  crevasses: 1.3,
+  cricketer: 1.6,
+  criminals: 4.1,
+  crinoline: 1.9,
+  crippling: 2.9,
+  crispness: 1.6,
+  criterion: 2.3,
+  criticism: 3.5,
+  criticize: 3.3,
+  critiqued: 1.9,
+  critiques: 2.2,
+  crocheted: 1.8,
+  crocodile: 3.4,
+  croissant: 2.9,
+  croquette: 1.6,
+  crossbeam: 1.6,
+  crossbows: 1.9,
+  crossfire: 3,
+  crossings: 2.1,
+  crossness: 1.3,
+  crossover: 2.6,
+  crossroad: 2.2,
+  crosstown: 2.5,
+  crosswalk: 2.6,
+  crosswise: 1.3,
+  crossword: 3.2,
+  crotchets: 1.3,
+  crotchety: 2.4,
+  crouching: 2.7,
+  croupiers: 1.6,
+  crucially: 1.6,
+  crucified: 3.2,
+  cruciform: 1.3,
+  crudeness: 1.6,
+  cruelties: 2,
+  crumbling: 3,
+  crummiest: 1.8,
+  crunchier: 1.3,
+  crunching: 3,
+  crusaders: 2.6,
+  crusading: 2.4,
+  crybabies: 2.1,
+  cubbyhole: 2,
+  cuckolded: 1.6,
+  cucumbers: 2.6,
+  culminate: 2.1,
+  cultivate: 3,
+  culturing: 1.6,
+  cuneiform: 2.1,
+  cunninger: 1.3,
+  cunningly: 2.3,
+  cupboards: 2.7,
+  curiosity: 3.9,
+  curiously: 2.8,
+  curlicues: 2,
+  currently: 3.8,
+  curricula: 1.6,
+  cursorily: 1.3,
+  curtailed: 1.9,
+  curtained: 1.8,
+  curtsying: 1.6,
+  curvature: 2.4,
+  cushioned: 2,
+  custodial: 2.6,
+  custodian: 3,
+  customary: 3.3,
+  customers: 4.3,
+  customize: 1.9,
+  cutlasses: 1.8,
+  cutthroat: 2.9,
+  cyclotron: 1.9,
+  cylinders: 3,
+  cynically: 2.1,
+  cypresses: 1.3,
+  cytoplasm: 1.9,
+  dachshund: 2.5,
+  daffodils: 2.8,
+  daiquiris: 2.7,
+  dalliance: 2.3,
+  dalmatian: 2.9,
+  damnation: 3.1,
+  damnedest: 3,
+  dampening: 1.8,
+  dandelion: 2.5,
+  dangerous: 4.9,
+  daredevil: 2.8,
+  darkening: 2.3,
+  darkrooms: 1.3,
+  darnedest: 2.5,
+  dartboard: 2.1,
+  dashboard: 3,
+  dashingly: 1.3,
+  dastardly: 2.5,
+  databases: 2.9,
+  daughters: 4,
+  dauntless: 2.1,
+  davenport: 3.5,
+  daydreams: 2.7,
+  daylights: 2.9,
+  deaconess: 1.3,
+  deadbeats: 2.7,
+  deadbolts: 1.8,
+  deadening: 1.3,
+  deadliest: 2.7,
+  deadlines: 2.8,
+  deafening: 2.6,
+  deathbeds: 1.6,
+  deathtrap: 2.3,
+  debarking: 1.3,
+  debatable: 2.7,
+  debauched: 2.1,
+  debenture: 1.3,
+  debriefed: 2.7,
+  debugging: 1.6,
+  debunking: 1.6,
+  decadence: 2.8,
+  decamping: 1.3,
+  decanting: 1.3,
+  decathlon: 2.6,
+  decedents: 1.6,
+  deceitful: 3.1,
+  deceivers: 2.2,
+  deceiving: 3.2,
+  decencies: 1.3,
+  deception: 3.5,
+  deceptive: 2.7,
+  decidedly: 2.9,
+  deciduous: 1.9,
+  decimated: 2.6,
+  deciphers: 1.6,
+  decisions: 4.2,
+  deckhands: 1.6,
+  declaring: 3,
+  declining: 2.7,
+  decompose: 2.7,
+  decorated: 3.5,
+  decorates: 2.1,
+  decorator: 3.3,
+  decreased: 2.9,
+  decreases: 2.1,
+  decreeing: 1.3,
+  dedicated: 3.9,
+  dedicates: 1.8,
+  deducting: 2.3,
+  deduction: 3.2,
+  deductive: 2.5,
+  deepening: 2.3,
+  defaulted: 1.9,
+  defeating: 2.8,
+  defeatism: 1.8,
+  defeatist: 2.6,
+  defecated: 2.2,
+  defecates: 1.6,
+  defecting: 2.3,
+  defection: 2.6,
+  defective: 3.3,
+  defectors: 2.2,
+  defendant: 4.2,
+  defenders: 2.9,
+  defending: 3.9,
+  defensive: 3.7,
+  deference: 2.6,
+  deferment: 2.1,
+  deferring: 2.1,
+  defiantly: 1.8,
+  deficient: 2.7,
+  deflating: 1.9,
+  deflation: 1.8,
+  deflected: 2.5,
+  deflector: 2.5,
+  defoliant: 1.3,
+  defoliate: 1.3,
+  deformity: 2.6,
+  defrauded: 2.4,
+  defrosted: 2.1,
+  defroster: 1.9,
+  degrading: 3.2,
+  dehydrate: 2.1,
+  delegated: 2.2,
+  delegates: 3.2,
+  delicious: 4.3,
+  delighted: 4.1,
+  delimited: 1.3,
+  delineate: 1.3,
+  delirious: 3.4,
+  delivered: 4.2,
+  deliverer: 1.9,
+  delusions: 3.3,
+  demagogue: 1.8,
+  demanding: 3.6,
+  demeaning: 2.9,
+  demitasse: 1.9,
+  democracy: 3.8,
+  democrats: 3.1,
+  demurring: 1.3,
+  denatured: 1.9,
+  denigrate: 2.4,
+  denounced: 2.8,
+  denounces: 1.6,
+  denseness: 1.3,
+  densities: 2,
+  dentistry: 2.6,
+  deodorant: 3.2,
+  deodorize: 1.6,
+  departing: 3.2,
+  departure: 3.7,
+  dependent: 3.3,
+  depending: 3.8,
+  depicting: 2.6,
+  depiction: 2.5,
+  deplaning: 1.6,
+  depleting: 1.6,
+  depletion: 2.4,
+  deploring: 1.3,
+  deploying: 2.6,
+  deporting: 2.1,
+  deposited: 3.1,
+  depositor: 2,
+  depravity: 2.8,
+  deprecate: 1.6,
+  depressed: 4.2,
+  depresses: 2.4,
+  depriving: 2.7,
+  deprogram: 1.9,
+  deputized: 2.1,
+  derailing: 2,
+  derelicts: 2.7,
+  derogated: 1.3,
+  derringer: 2.5,
+  dervishes: 1.8,
+  descended: 3.3,
+  descender: 1.8,
+  described: 4,
+  describes: 3.2,
+  desecrate: 2.6,
+  deserters: 2.8,
+  deserting: 2.9,
+  desertion: 2.9,
+  deserving: 3,
+  desiccate: 1.3,
+  designate: 2.8,
+  designers: 3,
+  designing: 3.2,
+  desirable: 3.3,
+  desisting: 1.3,
+  desolated: 1.8,
+  desperado: 2.6,
+  desperate: 4.4,
+  despising: 2.3,
+  despotism: 1.8,
+  destinies: 2.9,
+  destitute: 2.8,
+  destroyed: 4.5,
+  destroyer: 3.6,
+  desultory: 1.6,
+  detaching: 1.8,
+  detailing: 2.8,
+  detainees: 2.4,
+  detaining: 2.6,
+  detecting: 3.1,
+  detection: 3.2,
+  detective: 4.8,
+  detectors: 3.1,
+  detention: 3.8,
+  detergent: 3,
+  determine: 3.9,
+  deterrent: 2.6,
+  deterring: 1.6,
+  detesting: 1.3,
+  dethroned: 1.9,
+  detonated: 3.3,
+  detonates: 2.5,
+  detonator: 3.4,
+  detouring: 1.6,
+  detriment: 2.7,
+  deuterium: 2.1,
+  devastate: 2.6,
+  developed: 4.1,
+  developer: 3,
+  deviating: 1.8,
+  deviation: 2.9,
+  deviously: 1.3,
+  devolving: 1.8,
+  devotedly: 1.8,
+  devotions: 1.3,
+  devouring: 2.9,
+  dexterity: 2.6,
+  dexterous: 2,
+  diabetics: 2.2,
+  diagnosed: 3.4,
+  diagnoses: 2.5,
+  diagnosis: 3.6,
+  diagonals: 1.3,
+  dialectic: 2.1,
+  dialogues: 2.1,
+  diapering: 1.9,
+  diaphragm: 3.3,
+  diastolic: 2.2,
+  diatribes: 1.6,
+  dichotomy: 2.1,
+  dickering: 2.2,
+  dictating: 2.9,
+  dictation: 3,
+  dictators: 2.5,
+  dietitian: 1.8,
+  different: 5.3,
+  differing: 2.3,
+  difficult: 4.8,
+  diffident: 2,
+  diffusing: 1.3,
+  diffusion: 2.3,
+  digesting: 2.3,
+  digestion: 3,
+  digestive: 2.9,
+  digitalis: 2.2,
+  digitally: 2.4,
+  digitized: 2.2,
+  digitizes: 1.3,
+  dignified: 3.4,
+  dignifies: 1.3,
+  dignitary: 2.1,
+  digresses: 1.6,
+  diligence: 2.9,
+  dimension: 3.7,
+  dimwitted: 2.4,
+  dinosaurs: 3.4,
+  diphthong: 1.9,
+  diplomacy: 3.2,
+  diplomats: 2.9,
+  dipsticks: 1.3,
+  directing: 3.5,
+  direction: 4.4,
+  directive: 3.2,
+  directors: 3.8,
+  directory: 3.2,
+  dirigible: 1.3,
+  dirtiness: 1.9,
+  disabling: 2.5,
+  disabused: 1.3,
+  disagreed: 2.9,
+  disagrees: 2.7,
+  disallows: 1.6,
+  disappear: 4.3,
+  disarming: 2.7,
+  disasters: 3.2,
+  disavowed: 2.1,
+  disbanded: 2.7,
+  disbarred: 3,
+  disbelief: 2.7,
+  disbursed: 1.3,
+  disburses: 1.6,
+  discarded: 3.1,
+  discerned: 1.6,
+  discharge: 3.8,
+  disciples: 3.2,
+  disclosed: 2.9,
+  discloses: 2.1,
+  discounts: 2.6,
+  discourse: 2.6,
+  discovers: 3.3,
+  discovery: 4.1,
+  discredit: 3,
+  discussed: 4,
+  discusses: 2.3,
+  disdained: 1.3,
+  disembark: 2.5,
+  disembody: 1.3,
+  disengage: 3,
+  disfigure: 1.9,
+  disgorged: 1.3,
+  disgraced: 3.2,
+  disgraces: 1.8,
+  disguised: 3.4,
+  disguises: 2.9,
+  disgusted: 3.2,
+  dishonest: 3.4,
+  dishonors: 1.6,
+  dishtowel: 1.6,
+  dishwater: 2.3,
+  disinfect: 2.6,
+  diskettes: 1.6,
+  disliking: 2.2,
+  dislocate: 2.3,
+  dislodged: 2.5,
+  dismantle: 3,
+  dismaying: 1.3,
+  dismember: 2.5,
+  dismissal: 3,
+  dismissed: 4.1,
+  dismisses: 1.6,
+  dismounts: 1.6,
+  disobeyed: 3.3,
+  disorders: 3,
+  disorient: 1.9,
+  disowning: 1.8,
+  disparage: 2.9,
+  disparate: 2.1,
+  disparity: 2.3,
+  dispelled: 1.9,
+  dispensed: 2.7,
+  dispenser: 3,
+  dispenses: 2.1,
+  dispersal: 2.7,
+  dispersed: 2.6,
+  disperses: 2,
+  displaced: 3,
+  displaces: 1.6,
+  displayed: 3.2,
+  displease: 2.6,
+  disposals: 1.9,
+  disposing: 2.7,
+  disproved: 2,
+  disproves: 1.8,
+  disputing: 2.4,
+  disregard: 3.5,
+  disrepair: 2.2,
+  disrepute: 2.1,
+  disrupted: 2.9,
+  dissected: 2.7,
+  dissemble: 2.1,
+  dissented: 1.6,
+  dissenter: 1.3,
+  dissident: 2.2,
+  dissipate: 2.3,
+  dissolute: 1.9,
+  dissolved: 3.1,
+  dissolves: 2.6,
+  dissonant: 1.6,
+  dissuaded: 2.1,
+  distanced: 2.2,
+  distances: 3,
+  distantly: 2.2,
+  distemper: 2.2,
+  distended: 2.7,
+  distilled: 2.8,
+  distiller: 1.8,
+  distorted: 3.3,
+  distracts: 2.6,
+  districts: 2.8,
+  distrusts: 1.3,
+  disturbed: 4,
+  dithering: 1.9,
+  diuretics: 1.9,
+  divergent: 1.9,
+  diverging: 1.6,
+  diversify: 2.5,
+  diversion: 3.5,
+  diversity: 3,
+  diverting: 2.6,
+  divesting: 1.3,
+  dividends: 2.8,
+  divisible: 1.9,
+  divisions: 3.4,
+  divorcing: 3,
+  divulging: 2.1,
+  dizziness: 3,
+  doctorate: 3,
+  doctoring: 2.7,
+  doctrinal: 1.9,
+  doctrines: 1.8,
+  docudrama: 1.8,
+  documents: 4,
+  doddering: 2,
+  dollhouse: 2.6,
+  domestics: 1.8,
+  domiciles: 1.3,
+  dominance: 2.9,
+  dominants: 1.3,
+  dominated: 3.2,
+  dominates: 2.6,
+  dominions: 2,
+  donations: 3.2,
+  doohickey: 2.5,
+  doorbells: 2.5,
+  doorknobs: 2.5,
+  doorsteps: 1.3,
+  dormitory: 3,
+  doubloons: 2.3,
+  doubtless: 2.6,
+  doughnuts: 3.7,
+  dovetails: 1.6,
+  downbeats: 1.6,
+  downgrade: 2,
+  downloads: 2.3,
+  downpours: 1.6,
+  downright: 3.4,
+  downsized: 2.4,
+  downstage: 2.1,
+  downstate: 2.7,
+  downswing: 1.3,
+  downwards: 2.2,
+  draconian: 2.1,
+  draftsman: 2,
+  draftsmen: 1.6,
+  dragonfly: 3.5,
+  dragooned: 1.3,
+  drainpipe: 2.7,
+  dramatics: 2.5,
+  dramatist: 2,
+  dramatize: 2.3,
+  draperies: 2.2,
+  drawbacks: 2.5,
+  dreamiest: 1.3,
+  dreamland: 2.7,
+  dreamless: 2.1,
+  dreamlike: 2.2,
+  dreariest: 1.3,
+  drenching: 1.6,
+  dressings: 2.7,
+  dribblers: 1.3,
+  dribbling: 2.8,
+  driftwood: 2.9,
+  drinkable: 1.9,
+  drippings: 2.1,
+  driveling: 2.2,
+  driveways: 2.2,
+  drizzling: 2.1,
+  dromedary: 1.9,
+  droppings: 2.9,
+  drownings: 2.1,
+  druggists: 1.8,
+  drugstore: 3.6,
+  drumstick: 2.5,
+  drunkards: 2.3,
+  drunkenly: 2,
+  dubiously: 1.3,
+  duchesses: 2.1,
+  ducklings: 2.1,
+  dumbbells: 2,
+  dumbfound: 1.8,
+  dumplings: 3.2,
+  dungarees: 2.3,
+  duplicate: 3.4,
+  duplicity: 2.3,
+  dutifully: 2,
+  dwellings: 2.2,
+  dwindling: 2.4,
+  dynamited: 2.3,
+  dynamites: 1.3,
+  dynasties: 2.1,
+  dysentery: 3,
+  dyspeptic: 1.9,
+  eagerness: 2.4,
+  earmarked: 2.4,
+  earnestly: 2.3,
+  earphones: 2.5,
+  earthling: 2.8,
+  earthward: 1.8,
+  earthworm: 2.1,
+  eastbound: 2.9,
+  easterner: 1.8,
+  easygoing: 2.6,
+  eavesdrop: 2.9,
+  ebullient: 1.6,
+  eccentric: 3.5,
+  eclipsing: 1.3,
+  ecologist: 1.6,
+  economics: 3.4,
+  economies: 2.7,
+  economist: 2.3,
+  economize: 2.4,
+  ecosystem: 2.8,
+  ecstasies: 1.9,
+  edelweiss: 2.6,
+  edibility: 1.3,
+  editorial: 3.3,
+  educating: 2.7,
+  education: 4.3,
+  educators: 2.3,
+  effecting: 2,
+  effective: 4,
+  effectual: 1.8,
+  efficient: 3.7,
+  effulgent: 2.1,
+  effusions: 1.6,
+  eggbeater: 2.4,
+  eggplants: 2.1,
+  eggshells: 2.5,
+  egotistic: 1.6,
+  egregious: 2.5,
+  eiderdown: 1.8,
+  eightieth: 1.3,
+  ejaculate: 2.7,
+  elaborate: 3.7,
+  elections: 3.4,
+  electives: 2.4,
+  electoral: 2.7,
+  electrify: 2,
+  electrode: 2.5,
+  electrons: 3.2,
+  elegantly: 2.4,
+  elemental: 2.8,
+  elephants: 3.6,
+  elevating: 1.8,
+  elevation: 3,
+  elevators: 3.5,
+  elevenths: 1.3,
+  eliciting: 2.1,
+  eliminate: 3.8,
+  elocution: 2.4,
+  elongated: 2.5,
+  elongates: 1.3,
+  elopement: 2.4,
+  eloquence: 2.7,
+  elsewhere: 3.8,
+  elucidate: 2.1,
+  emaciated: 1.9,
+  emanating: 2.6,
+  emanation: 2,
+  embalmers: 1.6,
+  embalming: 2.9,
+  embargoes: 1.8,
+  embarking: 2.5,
+  embarrass: 3.9,
+  embassies: 2.5,
+  embattled: 1.3,
+  embedding: 2.1,
+  embellish: 2.5,
+  embezzled: 2.5,
+  embezzler: 2.6,
+  embezzles: 1.3,
+  embodying: 1.3,
+  embracing: 2.9,
+  embroider: 2.4,
+  embroiled: 2.1,
+  embryonic: 2.1,
+  emergence: 2.3,
+  emergency: 4.7,
+  emigrated: 2.5,
+  eminences: 1.6,
+  eminently: 2.4,
+  emissions: 2.8,
+  emolument: 1.3,
+  emotional: 4.3,
+  empathize: 2.8,
+  emphasize: 3,
+  emphysema: 2.7,
+  empirical: 2.7,
+  employees: 4.1,
+  employers: 3,
+  employing: 2.4,
+  emporiums: 1.6,
+  empowered: 2.9,
+  empresses: 1.6,
+  emptiness: 3.3,
+  emulating: 1.9,
+  emulation: 1.3,
+  enactment: 1.3,
+  enchanted: 3.4,
+  enchanter: 1.3,
+  enchilada: 2.8,
+  encircled: 2.2,
+  encircles: 1.8,
+  enclosing: 2.4,
+  enclosure: 2.6,
+  encompass: 2.3,
+  encounter: 3.7,
+  encourage: 3.8,
+  encrusted: 2.2,
+  encrypted: 3.2,
+  endangers: 2.3,
+  endearing: 2.9,
+  endeavors: 2.8,
+  endlessly: 3.1,
+  endocrine: 2.1,
+  endorsing: 2.5,
+  endowment: 2.7,
+  endurable: 1.6,
+  endurance: 3.1,
+  energetic: 3.1,
+  energized: 2.7,
+  energizer: 2.4,
+  energizes: 1.3,
+  enervated: 1.3,
+  enfeebled: 1.3,
+  enfolding: 1.6,
+  enforcers: 2.3,
+  enforcing: 2.5,
+  engenders: 1.6,
+  engineers: 3.6,
+  engravers: 1.6,
+  engraving: 2.7,
+  engrossed: 2.1,
+  engrosses: 1.6,
+  engulfing: 1.8,
+  enhancing: 2.6,
+  enigmatic: 2.3,
+  enjoining: 1.6,
+  enjoyable: 3.3,
+  enjoyment: 3.1,
+  enlarging: 2.2,
+  enlighten: 3.3,
+  enlisting: 2.6,
+  enlivened: 2.1,
+  ennobling: 1.9,
+  enrapture: 1.3,
+  enriching: 2.4,
+  enrolling: 2.3,
+  ensconced: 2.3,
+  ensembles: 1.8,
+  enshrined: 2.2,
+  enshrines: 1.3,
+  enslaving: 2.1,
+  entailing: 1.3,
+  entangled: 2.8,
+  entertain: 3.8,
+  enthralls: 1.3,
+  enthroned: 1.9,
+  entombing: 1.3,
+  entourage: 3.1,
+  entranced: 2.1,
+  entrances: 3.1,
+  entrapped: 1.8,
+  entreated: 1.3,
+  entrusted: 3.2,
+  entryways: 1.8,
+  entwining: 1.3,
+  enumerate: 1.3,
+  enunciate: 2.1,
+  enveloped: 2.5,
+  envelopes: 3.2,
+  enviously: 1.6,
+  envisaged: 2,
+  envisions: 1.8,
+  ephemeral: 2.3,
+  epicenter: 2.5,
+  epicurean: 1.3,
+  epidemics: 2.3,
+  epidermal: 2.3,
+  epidermis: 2.5,
+  epileptic: 3.1,
+  episcopal: 2.3,
+  epitomize: 1.6,
+  equalized: 1.9,
+  equalizer: 2.6,
+  equalizes: 1.3,
+  equations: 3,
+  equipment: 4.4,
+  equipoise: 2.2,
+  equipping: 1.8,
+  equitable: 2.5,
+  equivocal: 2.2,
+  eradicate: 2.7,
+  erections: 2.4,
+  ergonomic: 2,
+  erogenous: 2.5,
+  eroticism: 2.2,
+  erroneous: 2.7,
+  erstwhile: 2,
+  erudition: 1.8,
+  eruptions: 2.3,
+  escalated: 2.9,
+  escalates: 2.3,
+  escalator: 3.1,
+  escapades: 2.5,
+  eschewing: 1.6,
+  escorting: 3,
+  esophagus: 2.8,
+  espionage: 3.2,
+  esplanade: 2.5,
+  espousing: 1.9,
+  espressos: 2.1,
+  essential: 3.7,
+  establish: 3.8,
+  estimable: 1.6,
+  estimated: 3.4,
+  estimates: 3.2,
+  estranged: 2.6,
+  eternally: 3.3,
+  ethically: 2.8,
+  ethnicity: 2.3,
+  etiquette: 3.3,
+  etymology: 2.1,
+  eucalypti: 1.3,
+  eulogized: 1.8,
+  euphemism: 3,
+  evacuated: 3.3,
+  evacuates: 1.6,
+  evaluated: 2.8,
+  evaluates: 1.6,
+  evaporate: 2.7,
+  eventuate: 1.3,
+  everglade: 1.8,
+  evergreen: 2.3,
+  everybody: 5.5,
+  evictions: 1.3,
+  evidenced: 2.4,
+  evidences: 2.5,
+  evidently: 3.8,
+  evildoers: 2.6,
+  evocation: 1.9,
+  evocative: 2.4,
+  evolution: 3.7,
+  exactness: 1.3,
+  examiners: 2.3,
+  examining: 3.3,
+  excavated: 2.4,
+  excavator: 1.9,
+  exceeding: 2.8,
+  excellent: 4.7,
+  excelling: 1.9,
+  excepting: 2.5,
+  exception: 3.9,
+  excessive: 3.4,
+  exchanged: 3.3,
+  exchanges: 2.7,
+  exchequer: 2,
+  excitable: 2.7,
+  excitedly: 2.4,
+  exclaimed: 1.8,
+  excluding: 2.7,
+  exclusion: 2.4,
+  exclusive: 3.9,
+  excrement: 3.1,
+  excreting: 1.6,
+  excretion: 2.1,
+  exculpate: 1.3,
+  excursion: 2.8,
+  excusable: 2.1,
+  execrable: 1.3,
+  executing: 2.9,
+  execution: 4,
+  executive: 4,
+  executors: 1.6,
+  executrix: 1.3,
+  exemplars: 1.6,
+  exemplary: 2.9,
+  exemplify: 1.8,
+  exemption: 2.6,
+  exercised: 3,
+  exercises: 3.5,
+  exertions: 1.3,
+  exhausted: 4.1,
+  exhibited: 2.9,
+  exhibitor: 1.6,
+  exhorting: 1.6,
+  existence: 4.1,
+  exonerate: 2.8,
+  exorcised: 2.1,
+  exorcisms: 2.1,
+  exorcists: 2.1,
+  expanding: 3.3,
+  expansion: 3.2,
+  expansive: 2.4,
+  expectant: 2.5,
+  expecting: 4.6,
+  expedient: 2.6,
+  expedited: 2.3,
+  expediter: 2.1,
+  expelling: 2.3,
+  expending: 1.6,
+  expensive: 4.4,
+  expertise: 3.6,
+  expiating: 1.3,
+  expiation: 1.6,
+  explained: 4.1,
+  expletive: 2.4,
+  exploding: 3.4,
+  exploited: 3.2,
+  exploiter: 1.8,
+  explorers: 3.1,
+  exploring: 3.4,
+  explosion: 4.2,
+  explosive: 3.7,
+  exponents: 1.6,
+  exporting: 2.5,
+  exposures: 2,
+  expounded: 1.3,
+  expressed: 3.5,
+  expresses: 2.9,
+  expressly: 3,
+  expulsion: 2.9,
+  exquisite: 3.6,
+  extempore: 1.3,
+  extending: 3,
+  extension: 3.7,
+  extensive: 3.6,
+  extenuate: 1.3,
+  exteriors: 2.1,
+  extincted: 1.3,
+  extolling: 1.8,
+  extorting: 1.9,
+  extortion: 3.4,
+  extracted: 3,
+  extractor: 2,
+  extradite: 2.4,
+  extremely: 4.4,
+  extremest: 1.6,
+  extremism: 1.8,
+  extremist: 2.6,
+  extremity: 2.6,
+  extricate: 2.5,
+  extrovert: 2,
+  extrusion: 1.3,
+  exuberant: 2.4,
+  eyeballed: 2.1,
+  eyelashes: 3.1,
+  eyepieces: 1.3,
+  eyestrain: 1.6,
+  fabricate: 2.5,
+  facetious: 2.1,
+  facsimile: 2.2,
+  factories: 3.4,
+  factoring: 2.4,
+  factually: 1.9,
+  faculties: 2.8,
+  faintness: 1.6,
+  fairyland: 2.4,
+  faithless: 2.7,
+  fallacies: 2,
+  falsehood: 2.3,
+  falsified: 2.7,
+  falsifies: 1.3,
+  faltering: 2.3,
+  familiars: 2.3,
+  fanatical: 2.7,
+  fanciness: 1.3,
+  fantasies: 3.7,
+  fantasize: 3.2,
+  fantastic: 4.6,
+  farewells: 2.3,
+  farmhands: 1.8,
+  farmhouse: 3.1,
+  farmyards: 1.3,
+  farthings: 1.6,
+  fascinate: 2.7,
+  fashioned: 3.1,
+  fasteners: 1.6,
+  fastening: 2.1,
+  fathering: 2.2,
+  fathoming: 1.3,
+  fatiguing: 1.8,
+  fattening: 2.9,
+  faultless: 1.3,
+  favorable: 3,
+  favorably: 2.6,
+  favorites: 3.6,
+  fearfully: 2.2,
+  feathered: 2.8,
+  featuring: 3.2,
+  fecundity: 1.6,
+  federally: 2.3,
+  federated: 1.6,
+  feelingly: 1.6,
+  felonious: 2.4,
+  feminists: 2.8,
+  fermented: 2.7,
+  ferocious: 3.2,
+  ferreting: 1.3,
+  ferryboat: 2.6,
+  fertility: 3.3,
+  fertilize: 2.6,
+  fervently: 2.2,
+  festering: 2.8,
+  festivals: 2.8,
+  festivity: 2.2,
+  fetishism: 2.1,
+  fetishist: 1.9,
+  feudalism: 1.6,
+  fictional: 3.1,
+  fidgeting: 2.8,
+  fiduciary: 2.4,
+  fieldwork: 2.3,
+  fifteenth: 2.7,
+  figurines: 2.7,
+  filaments: 2.1,
+  filleting: 1.8,
+  filmmaker: 3.3,
+  filmstrip: 1.9,
+  filtering: 2.7,
+  filthiest: 2.8,
+  finagling: 2.1,
+  finalists: 3,
+  finalized: 2.6,
+  financial: 4.2,
+  financier: 2.5,
+  financing: 3.2,
+  finessing: 2,
+  fingering: 2.5,
+  fingertip: 2.3,
+  finishers: 1.8,
+  finishing: 3.9,
+  fireballs: 2.6,
+  firebombs: 1.8,
+  firebrand: 1.3,
+  firebreak: 1.8,
+  firefight: 2.8,
+  fireflies: 3,
+  firehouse: 3.1,
+  fireplace: 3.7,
+  fireplugs: 1.6,
+  firepower: 3.3,
+  fireproof: 2.2,
+  firesides: 1.8,
+  firestorm: 2.1,
+  firetraps: 1.8,
+  firewalls: 2.4,
+  firewater: 2.6,
+  fireworks: 3.8,
+  firmament: 2.7,
+  firstborn: 2.9,
+  firsthand: 3.2,
+  fishbowls: 1.3,
+  fisheries: 2.3,
+  fisherman: 3.6,
+  fishermen: 3.3,
+  fishhooks: 2,
+  fishwives: 1.3,
+  fittingly: 1.8,
+  fixations: 1.3,
+  flagpoles: 1.8,
+  flagstaff: 2.9,
+  flagstone: 2.2,
+  flakiness: 1.3,
+  flamingos: 2.6,
+  flammable: 2.8,
+  flapjacks: 2.5,
+  flashback: 3,
+  flashbulb: 1.8,
+  flashiest: 1.3,
+  flattened: 2.8,
+  flattered: 3.9,
+  flatterer: 2.5,
+  flatulent: 2.3,
+  flaunting: 2.7,
+  flavorful: 1.8,
+  flavoring: 1.8,
+  fledgling: 2.4,
+  fleetness: 1.3,
+  flickered: 2.1,
+  flimsiest: 1.3,
+  flinching: 2.4,
+  flintlock: 2.1,
+  flippancy: 1.3,
+  floggings: 1.3,
+  floodgate: 1.6,
+  flophouse: 2.5,
+  flotation: 2.6,
+  flouncing: 1.6,
+  flounders: 1.8,
+  flowerbed: 2.1,
+  flowering: 2.4,
+  flowerpot: 2.4,
+  fluctuate: 2.3,
+  flummoxed: 2.2,
+  fluoresce: 1.6,
+  flustered: 2.9,
+  fluttered: 1.8,
+  flyleaves: 1.3,
+  flyspecks: 1.6,
+  flyweight: 1.8,
+  fogginess: 1.3,
+  follicles: 2.5,
+  followers: 3.4,
+  following: 4.7,
+  fomenting: 1.6,
+  foodstuff: 1.6,
+  foolhardy: 2.6,
+  foolishly: 2.8,
+  foolproof: 3.3,
+  footballs: 2.3,
+  footfalls: 1.6,
+  foothills: 2.7,
+  footloose: 2.9,
+  footnoted: 1.3,
+  footnotes: 2.4,
+  footpaths: 1.3,
+  footprint: 3,
+  footrests: 1.8,
+  footsteps: 3.8,
+  footstool: 2.2,
+  forbidden: 3.9,
+  forearmed: 1.6,
+  forebears: 2.2,
+  forecasts: 2.3,
+  foreclose: 2.8,
+  forefront: 2.6,
+  foregoing: 2.1,
+  foreheads: 2.5,
+  foreigner: 3.5,
+  forensics: 3.6,
+  foresight: 2.9,
+  foreskins: 1.3,
+  forestall: 2.2,
+  foresters: 1.8,
+  foretaste: 1.3,
+  foretells: 1.6,
+  forewoman: 1.9,
+  forewords: 1.3,
+  forfeited: 2.5,
+  forgeries: 2.8,
+  forgetful: 2.9,
+  forgiving: 3.4,
+  forgotten: 4.5,
+  forklifts: 1.3,
+  forlornly: 1.3,
+  formalism: 1.3,
+  formality: 3.3,
+  formalize: 2.1,
+  formation: 3.6,
+  formative: 2.5,
+  formatted: 2.3,
+  formulaic: 2,
+  formulate: 2.8,
+  fornicate: 2.7,
+  forsaking: 2.8,
+  forthwith: 2.8,
+  fortified: 2.8,
+  fortifies: 1.8,
+  fortitude: 2.8,
+  fortnight: 3,
+  fortunate: 3.9,
+  forwarded: 2.9,
+  forwarder: 1.6,
+  fostering: 2.1,
+  foundered: 1.6,
+  foundling: 2.2,
+  foundries: 2.1,
+  fountains: 3,
+  fourscore: 2.3,
+  foursomes: 1.3,
+  fourteens: 1.3,
+  fractions: 2.8,
+  fractious: 2.2,
+  fractured: 3.5,
+  fractures: 3.4,
+  fragility: 2.1,
+  fragments: 3.4,
+  fragrance: 3.1,
+  frailties: 2.2,
+  framework: 2.6,
+  franchise: 3.4,
+  frankness: 2.5,
+  fraternal: 2.5,
+  freakiest: 2.2,
+  freckling: 2.3,
+  freeholds: 1.3,
+  freelance: 3.3,
+  freestyle: 3,
+  freighted: 1.9,
+  freighter: 3.3,
+  frequency: 3.8,
+  frequents: 2.4,
+  freshened: 2.1,
+  freshness: 2.8,
+  fricassee: 2.2,
+  friending: 1.3,
+  frightens: 3.3,
+  frightful: 3.1,
+  frighting: 1.3,
+  frigidity: 1.8,
+  frittered: 2,
+  frivolity: 2.2,
+  frivolous: 3.1,
+  frolicked: 1.3,
+  frontally: 1.3,
+  frontiers: 2.5,
+  frostbite: 2.9,
+  frostings: 1.8,
+  fruitcake: 3.3,
+  fruitless: 2.7,
+  frustrate: 2.4,
+  fugitives: 3,
+  fulfilled: 3.5,
+  fullbacks: 1.3,
+  fulminate: 1.3,
+  fumigated: 2.4,
+  fumigator: 1.3,
+  functions: 3.6,
+  fungicide: 1.8,
+  funicular: 1.8,
+  funneling: 2.1,
+  furbished: 1.3,
+  furiously: 2.4,
+  furloughs: 2.1,
+  furnished: 3.1,
+  furnishes: 2.1,
+  furniture: 4.2,
+  furthered: 1.9,
+  furtively: 1.6,
+  fuzziness: 1.6,
+  gabardine: 2.1,
+  gaberdine: 1.6,
+  gainfully: 2.2,
+  gallantly: 2.4,
+  gallantry: 2.8,
+  galleries: 3,
+  gallivant: 1.3,
+  galloping: 3,
+  gallstone: 2.1,
+  galvanize: 1.9,
+  gamboling: 1.3,
+  gamecocks: 1.3,
+  gangplank: 2.6,
+  gangsters: 3.4,
+  garbanzos: 1.6,
+  gardeners: 2.7,
+  gardenias: 2.7,
+  gardening: 3.4,
+  gargoyles: 2.6,
+  garnished: 1.9,
+  garrisons: 2,
+  garroting: 1.6,
+  garrulous: 2,
+  gaslights: 1.3,
+  gastritis: 2.3,
+  gatherers: 2.3,
+  gathering: 3.9,
+  gauntlets: 1.6,
+  gawkiness: 1.3,
+  gearboxes: 1.3,
+  gearshift: 2.3,
+  gemstones: 2.4,
+  gendarmes: 2.4,
+  genealogy: 2.6,
+  generally: 3.9,
+  generated: 3.1,
+  generates: 2.7,
+  generator: 3.8,
+  geniality: 1.3,
+  genitalia: 2.9,
+  gentility: 2.1,
+  gentleman: 4.6,
+  gentlemen: 5.2,
+  genuflect: 2,
+  genuinely: 3.3,
+  geography: 3.4,
+  geologist: 3,
+  geometric: 2.7,
+  geraniums: 2.4,
+  geriatric: 2.7,
+  germanium: 1.9,
+  germinate: 1.3,
+  gestating: 1.9,
+  gestation: 2.4,
+  gesturing: 1.6,
+  ghastlier: 1.3,
+  gibbering: 2.5,
+  gibberish: 3.3,
+  gibbeting: 1.3,
+  giddiness: 1.9,
+  gigabytes: 2.2,
+  gigahertz: 2.2,
+  gimcracks: 1.8,
+  giveaways: 1.9,
+  glacially: 1.3,
+  gladdened: 1.6,
+  gladiator: 2.9,
+  gladiolas: 2.1,
+  gladiolus: 1.6,
+  glamorize: 1.3,
+  glamorous: 3.5,
+  glamoured: 1.3,
+  glandular: 2.4,
+  glaringly: 1.9,
+  glassware: 2.1,
+  gleefully: 2.1,
+  glimpsing: 1.8,
+  glissando: 2,
+  glistened: 1.6,
+  glittered: 2.1,
+  glorified: 3.1,
+  glorifies: 1.6,
+  glowering: 1.3,
+  glowworms: 1.3,
+  glutinous: 1.3,
+  gnarliest: 1.8,
+  goalposts: 1.3,
+  goatskins: 1.6,
+  goddamned: 3.7,
+  goddesses: 2.7,
+  godfather: 3.7,
+  godliness: 2.5,
+  godmother: 3.2,
+  godparent: 1.9,
+  goldbrick: 2.2,
+  goldenrod: 2.1,
+  goldfinch: 1.6,
+  goldsmith: 2.5,
+  gondolier: 2.2,
+  gonorrhea: 2.8,
+  goodnight: 4.2,
+  gossiping: 2.9,
+  gourmands: 1.3,
+  governess: 3,
+  governing: 2.7,
+  governors: 2.7,
+  graceless: 2.1,
+  gradation: 1.3,
+  gradually: 3.3,
+  graduated: 3.9,
+  graduates: 3.3,
+  grandiose: 2.6,
+  grandsons: 2.6,
+  grapevine: 3,
+  graphical: 1.6,
+  grappling: 2.8,
+  grassland: 2,
+  gratified: 2.5,
+  gratifies: 1.8,
+  gratitude: 3.9,
+  graveling: 2.3,
+  graveyard: 3.7,
+  gravitate: 2.1,
+  greasiest: 2.1,
+  greatness: 3.6,
+  greediest: 1.6,
+  greenback: 1.3,
+  greenhorn: 2.5,
+  greenness: 1.6,
+  greetings: 3.8,
+  grenadier: 1.8,
+  greyhound: 3,
+  grievance: 3,
+  grimacing: 1.6,
+  grisliest: 1.3,
+  grizzlies: 2.4,
+  groceries: 3.8,
+  grooviest: 1.9,
+  grossness: 1.9,
+  grotesque: 3.2,
+  grouching: 1.6,
+  grounders: 1.6,
+  groundhog: 3.2,
+  grounding: 2.7,
+  groupings: 1.8,
+  groveling: 2.9,
+  grubstake: 2.2,
+  grumblers: 1.3,
+  grumbling: 2.4,
+  grumpiest: 1.3,
+  guacamole: 3,
+  guarantee: 4.3,
+  guarantor: 2.2,
+  guardians: 3.1,
+  guardrail: 2.4,
+  guardroom: 2.3,
+  guardsman: 2.2,
+  guardsmen: 2.5,
+  guerrilla: 3,
+  guesswork: 2.6,
+  guffawing: 1.6,
+  guidebook: 2.8,
+  guideline: 2.4,
+  guileless: 1.8,
+  guiltless: 2.1,
+  guitarist: 2.8,
+  gunfights: 2.1,
+  gunnysack: 2,
+  gunpowder: 3.2,
+  gunrunner: 2.1,
+  gunsmiths: 1.3,
+  gustatory: 1.3,
+  guttering: 1.6,
+  gymnasium: 3.1,
+  gymnastic: 1.8,
+  gyrations: 1.8,
+  gyroscope: 2.2,
+  habitable: 2.3,
+  habituate: 1.8,
+  hackneyed: 2,
+  hailstone: 1.6,
+  hailstorm: 2.3,
+  hairbrush: 2.9,
+  hairlines: 1.6,
+  hairpiece: 2.6,
+  hairstyle: 2.8,
+  halfbacks: 1.6,
+  halfpence: 1.3,
+  halfpenny: 1.8,
+  halitosis: 2.4,
+  hallmarks: 2.1,
+  haltingly: 1.6,
+  hamburger: 3.9,
+  hammering: 3.2,
+  hamstring: 2.3,
+  hamstrung: 1.9,
+  handbills: 2.3,
+  handbooks: 1.6,
+  handcraft: 1.8,
+  handcuffs: 3.7,
+  handhelds: 1.8,
+  handicaps: 2.3,
+  handiwork: 2.9,
+  handlebar: 2.3,
+  handmaids: 1.8,
+  handrails: 1.9,
+  handshake: 3.5,
+  handsomer: 2.6,
+  handstand: 2.1,
+  hangnails: 1.6,
+  hangovers: 2.6,
+  hankering: 2.8,
+  haphazard: 2.3,
+  happening: 5,
+  happiness: 4.4,
+  harangued: 1.8,
+  harassing: 3.4,
+  harbinger: 2.5,
+  harboring: 3,
+  hardbacks: 1.3,
+  hardcover: 2.2,
+  hardening: 2.4,
+  hardliner: 1.8,
+  hardships: 2.9,
+  harlequin: 2.5,
+  harmonica: 3.2,
+  harmonics: 2.3,
+  harmonies: 2.4,
+  harmonize: 2,
+  harnessed: 2.7,
+  harnesses: 2.3,
+  harpooned: 2.2,
+  harridans: 1.3,
+  harrowing: 2.7,
+  harshness: 2.1,
+  harvested: 2.7,
+  harvester: 2.3,
+  hastening: 2.1,
+  hastiness: 1.3,
+  hatchback: 2.2,
+  haversack: 1.6,
+  hawthorns: 1.3,
+  haystacks: 2.1,
+  hazardous: 3.3,
+  hazelnuts: 1.6,
+  headaches: 3.7,
+  headbands: 1.9,
+  headboard: 2.5,
+  headdress: 2.5,
+  headfirst: 2.5,
+  headlands: 1.6,
+  headlight: 2.9,
+  headlined: 1.6,
+  headlines: 3.6,
+  headphone: 2.2,
+  headrests: 1.8,
+  headstone: 3,
+  headwinds: 2.1,
+  healthful: 2.3,
+  healthier: 3.1,
+  healthily: 1.3,
+  heartache: 3.2,
+  heartbeat: 3.7,
+  heartburn: 2.9,
+  heartened: 1.3,
+  heartfelt: 3.1,
+  heartiest: 1.9,
+  heartland: 2.7,
+  heartless: 3.5,
+  heartsick: 2.4,
+  heaviness: 2.3,
+  hedgehogs: 1.9,
+  hedgerows: 2,
+  heightens: 2.1,
+  heinously: 1.9,
+  heiresses: 1.8,
+  heirlooms: 2.5,
+  hellebore: 2,
+  hellholes: 1.8,
+  hellishly: 1.8,
+  helpfully: 1.3,
+  henpecked: 2.2,
+  hepatitis: 3.2,
+  heralding: 1.3,
+  herbalist: 2.1,
+  herbivore: 2.1,
+  herculean: 2.1,
+  hereabout: 1.3,
+  hereafter: 3.1,
+  heretical: 2.2,
+  heritages: 1.3,
+  hermitage: 2.3,
+  hesitancy: 1.6,
+  hesitated: 3.1,
+  hesitates: 2.3,
+  hexagonal: 2,
+  hibernate: 2.3,
+  hiccuping: 1.9,
+  hideaways: 1.3,
+  hidebound: 1.8,
+  hideously: 2.8,
+  hierarchy: 2.8,
+  highballs: 2.2,
+  highchair: 2.2,
+  highlands: 3,
+  highlight: 3.2,
+  hightails: 2.1,
+  hijackers: 2.9,
+  hijacking: 3.2,
+  hilarious: 3.8,
+  hillbilly: 3.3,
+  hillsides: 2,
+  hindering: 2.1,
+  hindrance: 2.4,
+  hindsight: 3,
+  hirelings: 1.3,
+  histamine: 1.6,
+  historian: 2.9,
+  histories: 3.1,
+  hitchhike: 3,
+  hobbyists: 2.3,
+  hobgoblin: 2,
+  hobnailed: 1.3,
+  hockshops: 1.3,
+  holidayed: 1.3,
+  hollering: 3.2,
+  hollyhock: 1.6,
+  holocaust: 3.3,
+  holograms: 2.6,
+  holograph: 2.1,
+  holstered: 2.1,
+  homegrown: 2.1,
+  homelands: 1.8,
+  homeliest: 1.3,
+  homemaker: 2.5,
+  homeowner: 3.1,
+  homerooms: 1.6,
+  homestead: 3.1,
+  hometowns: 2.1,
+  homeyness: 1.3,
+  homicidal: 3.3,
+  homicides: 3.1,
+  honeybees: 2,
+  honeycomb: 2.6,
+  honeymoon: 4.2,
+  honorable: 3.9,
+  honorably: 2.6,
+  honorific: 1.3,
+  hoodwinks: 1.3,
+  hooligans: 3,
+  hopefully: 4.1,
+  hopscotch: 2.5,
+  horoscope: 3.1,
+  horrified: 3.1,
+  horrifies: 1.6,
+  horseback: 3.3,
+  horsehair: 2.1,
+  horsehide: 1.6,
+  horseplay: 2.6,
+  horseshoe: 3,
+  horsewhip: 2.3,
+  hospitals: 3.8,
+  hostessed: 1.3,
+  hostesses: 2.6,
+  hostilely: 1.3,
+  hostility: 3.4,
+  hotheaded: 2.5,
+  hourglass: 3,
+  houseboat: 2.9,
+  housecoat: 2.1,
+  household: 3.8,
+  housemaid: 2.4,
+  housetops: 1.9,
+  housewife: 3.5,
+  housework: 3.1,
+  howitzers: 2,
+  howsoever: 1.8,
+  hucksters: 1.6,
+  humanists: 1.3,
+  humanizes: 1.6,
+  humankind: 2.8,
+  humanness: 1.6,
+  humanoids: 2.2,
+  humdinger: 2.1,
+  humiliate: 3.6,
+  humongous: 2.8,
+  humorists: 1.6,
+  humorless: 2.3,
+  humpbacks: 2.2,
+  hunchback: 3,
+  hundredth: 2.6,
+  hungering: 1.6,
+  hunkering: 1.3,
+  hurricane: 3.9,
+  hurriedly: 2.4,
+  husbandry: 2.3,
+  hyacinths: 1.3,
+  hydrangea: 2.2,
+  hydrating: 2,
+  hydraulic: 3.1,
+  hydrofoil: 1.3,
+  hydrology: 1.3,
+  hygienist: 2.8,
+  hyperbole: 2.3,
+  hyphenate: 2.1,
+  hypnotics: 1.3,
+  hypnotism: 2.5,
+  hypnotist: 2.9,
+  hypnotize: 2.8,
+  hypocrisy: 3.2,
+  hypocrite: 3.5,
+  hysterics: 2.8,
+  ibuprofen: 2.7,
+  idealists: 2.3,
+  idealized: 2.2,
+  idealizes: 2,
+  identical: 3.7,
+  ideograms: 1.3,
+  idiomatic: 1.8,
+  idolaters: 2,
+  idolizing: 1.3,
+  ignoramus: 2.5,
+  ignorance: 3.6,
+  illegally: 3.3,
+  illegible: 2.2,
+  illicitly: 1.6,
+  illnesses: 2.8,
+  illogical: 2.8,
+  illumined: 1.3,
+  illusions: 3.4,
+  imaginary: 3.6,
+  imagining: 3.7,
+  imbalance: 3,
+  imbeciles: 2.7,
+  imbecilic: 2.3,
+  imbroglio: 1.3,
+  imitating: 3.3,
+  imitation: 3.4,
+  imitative: 1.3,
+  imitators: 2.4,
+  immediacy: 2.2,
+  immediate: 4,
+  immensely: 3.1,
+  immensity: 1.8,
+  immersing: 1.6,
+  immersion: 2.1,
+  immigrant: 3.2,
+  immigrate: 2,
+  imminence: 1.9,
+  immodesty: 1.3,
+  immolated: 1.3,
+  immortals: 2.7,
+  immovable: 2.2,
+  immunized: 1.8,
+  immutable: 2.2,
+  immutably: 1.3,
+  impacting: 2,
+  impairing: 2,
+  impaneled: 1.6,
+  impartial: 3,
+  imparting: 1.8,
+  impassive: 1.3,
+  impatient: 3.6,
+  impeached: 2.7,
+  impending: 3,
+  imperfect: 3,
+  imperious: 2.5,
+  impetuous: 3.1,
+  impetuses: 1.3,
+  impinging: 2.1,
+  implanted: 3.1,
+  implement: 3.1,
+  implicate: 3,
+  imploding: 2.2,
+  imploring: 1.8,
+  implosion: 2.9,
+  important: 5.3,
+  importers: 1.9,
+  importing: 2.5,
+  importune: 1.6,
+  impostors: 2.1,
+  impotence: 2.8,
+  impounded: 3,
+  imprecise: 2.2,
+  impressed: 4.3,
+  impresses: 2.6,
+  imprinted: 2.8,
+  imprisons: 1.8,
+  impromptu: 2.9,
+  improving: 3.4,
+  improvise: 3.4,
+  imprudent: 2.4,
+  impudence: 2.7,
+  impugning: 2.1,
+  impulsive: 3.4,
+  inability: 3.2,
+  inamorata: 1.8,
+  inanimate: 2.9,
+  inanities: 1.3,
+  inaudible: 2.8,
+  inaugural: 2.6,
+  incapable: 3.5,
+  incarnate: 2.6,
+  incentive: 3.3,
+  inception: 2.6,
+  incessant: 2.7,
+  incidence: 2.5,
+  incidents: 3.4,
+  incipient: 1.9,
+  incisions: 2.2,
+  inclement: 2.2,
+  inclining: 1.6,
+  including: 4.4,
+  inclusion: 2.3,
+  inclusive: 2.3,
+  incognito: 2.8,
+  incorrect: 3.3,
+  increased: 3.6,
+  increases: 3.3,
+  increment: 1.6,
+  incubated: 2.4,
+  incubates: 1.6,
+  incubator: 3,
+  incumbent: 2.8,
+  incurable: 3,
+  incurably: 2,
+  incurring: 2.1,
+  incursion: 2.4,
+  indecency: 2.4,
+  indelible: 2.4,
+  indelibly: 1.8,
+  indemnify: 1.8,
+  indemnity: 2.4,
+  indenting: 1.3,
+  indenture: 1.6,
+  indicated: 3.6,
+  indicates: 3.7,
+  indicator: 2.9,
+  indicting: 2.1,
+  indigents: 1.6,
+  indignant: 2.7,
+  indignity: 2.6,
+  indolence: 1.3,
+  inducting: 1.3,
+  induction: 2.9,
+  inductive: 1.6,
+  indulgent: 2.6,
+  indulging: 2.9,
+  inebriate: 1.8,
+  ineffable: 2.3,
+  inelegant: 1.8,
+  ineptness: 1.3,
+  inertness: 1.9,
+  infantile: 2.9,
+  infecting: 2.8,
+  infection: 3.9,
+  inference: 2.4,
+  inferiors: 1.9,
+  inferring: 2.1,
+  infertile: 2.4,
+  infesting: 2.1,
+  infielder: 1.6,
+  infirmary: 3.5,
+  infirmity: 2.3,
+  inflaming: 1.6,
+  inflating: 2.1,
+  inflation: 3,
+  inflicted: 3.2,
+  influence: 4.2,
+  influenza: 2.7,
+  informant: 3.6,
+  informers: 2.6,
+  informing: 3,
+  infringed: 1.9,
+  infringes: 1.6,
+  infuriate: 1.9,
+  infusions: 2,
+  ingenious: 3.3,
+  ingenuity: 3,
+  ingenuous: 2.3,
+  ingesting: 2.4,
+  ingestion: 2.5,
+  ingrained: 2.4,
+  inhabited: 3,
+  inhalator: 1.8,
+  inherited: 3.6,
+  inheritor: 1.6,
+  inhibited: 2.7,
+  inhumanly: 1.6,
+  initialed: 2.3,
+  initially: 3.3,
+  initiated: 3.3,
+  initiates: 2.2,
+  injecting: 3,
+  injection: 3.6,
+  injectors: 2.1,
+  injurious: 2.1,
+  injustice: 3.5,
+  innermost: 2.9,
+  innkeeper: 2.6,
+  innocence: 3.8,
+  innocents: 3.2,
+  innocuous: 2.7,
+  innovated: 1.3,
+  innovates: 1.3,
+  innovator: 2.3,
+  innuendos: 2.2,
+  inoculate: 2.5,
+  inorganic: 2.1,
+  inpatient: 2.1,
+  inputting: 1.8,
+  inquiries: 3.2,
+  inquiring: 3,
+  inscribed: 2.8,
+  insensate: 1.9,
+  inserting: 2.4,
+  insertion: 2.8,
+  insidious: 2.9,
+  insincere: 2.5,
+  insinuate: 2.8,
+  insistent: 2.9,
+  insisting: 3.2,
+  insolence: 2.9,
+  insoluble: 2.1,
+  insolvent: 1.8,
+  insomniac: 2.5,
+  inspected: 2.8,
+  inspector: 4.3,
+  inspiring: 3.4,
+  installed: 3.7,
+  instances: 2.8,
+  instantly: 3.7,
+  instigate: 2.3,
+  instilled: 2.5,
+  instincts: 3.9,
+  institute: 3.5,
+  instructs: 2,
+  insulated: 2.5,
+  insulates: 1.6,
+  insulator: 1.6,
+  insulting: 3.7,
+  insurance: 4.6,
+  insurgent: 2.4,
+  integrate: 2.9,
+  integrity: 3.9,
+  intellect: 3.3,
+  intending: 2.8,
+  intensely: 3.1,
+  intensify: 2.4,
+  intensity: 3.4,
+  intensive: 3.3,
+  intention: 4,
+  interacts: 2.3,
+  interbred: 1.3,
+  intercede: 2.7,
+  intercept: 3.6,
+  intercoms: 1.6,
+  interdict: 1.9,
+  interests: 4.1,
+  interface: 3.2,
+  interfere: 4,
+  interiors: 2.4,
+  interject: 2.7,
+  interlace: 1.6,
+  interlock: 2.5,
+  interlude: 2.6,
+  interment: 2.1,
+  internals: 2,
+  internees: 1.6,
+  interning: 2.2,
+  internist: 2.4,
+  interplay: 1.9,
+  interpose: 1.3,
+  interpret: 3.4,
+  interrupt: 4.3,
+  intersect: 2.5,
+  intervals: 3.1,
+  intervene: 3.1,
+  interview: 4.5,
+  intestine: 3,
+  intimated: 2.3,
+  intimates: 2.3,
+  intricacy: 1.9,
+  intricate: 3,
+  intrigued: 3.2,
+  intrigues: 2.5,
+  intrinsic: 2.3,
+  introduce: 4.5,
+  introvert: 1.8,
+  intruders: 3.2,
+  intruding: 3.3,
+  intrusion: 3.4,
+  intrusive: 2.8,
+  intuition: 3.5,
+  intuitive: 3,
+  inundated: 2.3,
+  invalided: 2.1,
+  invasions: 2.2,
+  invective: 1.6,
+  inveigles: 1.3,
+  inventing: 3.1,
+  invention: 3.8,
+  inventive: 3,
+  inventors: 2.7,
+  inventory: 3.7,
+  inversely: 1.6,
+  inversion: 2.4,
+  inverting: 1.6,
+  investing: 3.2,
+  investors: 3.5,
+  inviolate: 2.2,
+  invisible: 4.1,
+  invisibly: 2,
+  involving: 3.6,
+  irascible: 1.8,
+  ironclads: 1.3,
+  irradiate: 2.1,
+  irregular: 3.4,
+  irrigated: 2.1,
+  irritable: 3.2,
+  irritants: 1.6,
+  irritated: 3.1,
+  irritates: 2.7,
+  isinglass: 1.3,
+  islanders: 2.6,
+  isolating: 2.6,
+  isolation: 3.5,
+  isometric: 1.9,
+  isosceles: 2.3,
+  itchiness: 1.3,
+  itemizing: 1.6,
+  iteration: 1.8,
+  itinerant: 1.3,
+  itinerary: 3.2,
+  jabbering: 2.7,
+  jackasses: 2.9,
+  jackboots: 1.8,
+  jackknife: 2.2,
+  jailbreak: 2.7,
+  jamborees: 1.3,
+  japanning: 1.8,
+  jaundiced: 2.3,
+  jawboning: 1.6,
+  jaywalked: 1.3,
+  jaywalker: 1.8,
+  jealously: 2.3,
+  jellybean: 2.7,
+  jellyfish: 3.2,
+  jerkwater: 2.1,
+  jettisons: 1.3,
+  jiggering: 1.3,
+  jigsawing: 1.3,
+  jitterbug: 2.6,
+  jockeying: 2.2,
+  jockstrap: 2.6,
+  jolliness: 1.3,
+  journeyed: 3.1,
+  joviality: 1.3,
+  joyriding: 2.4,
+  joysticks: 1.8,
+  judgeship: 2.3,
+  judgments: 3.1,
+  judiciary: 2.3,
+  judicious: 2.2,
+  jukeboxes: 1.9,
+  jumpsuits: 2.5,
+  junkyards: 1.3,
+  juridical: 1.8,
+  justified: 3.4,
+  justifies: 2.9,
+  juveniles: 2.5,
+  juxtapose: 1.8,
+  kamikazes: 2.2,
+  kangaroos: 2.8,
+  keepsakes: 2.1,
+  kerchiefs: 1.3,
+  keyboards: 2.6,
+  keystroke: 2.3,
+  kibitzing: 2,
+  kickbacks: 2.6,
+  kidnapped: 4.2,
+  kidnapper: 3.6,
+  kilobytes: 1.6,
+  kilograms: 2,
+  kilohertz: 1.3,
+  kilometer: 2.6,
+  kilowatts: 2.4,
+  kinswoman: 1.3,
+  knapsacks: 1.8,
+  knighting: 2.1,
+  knockouts: 2.4,
+  knowingly: 2.9,
+  knowledge: 4.4,
+  knuckling: 1.3,
+  kowtowing: 2,
+  laborious: 2.1,
+  labyrinth: 2.9,
+  lacerated: 2.7,
+  lacerates: 1.6,
+  lacquered: 2.1,
+  lactating: 2.2,
+  lactation: 1.8,
+  laddering: 1.3,
+  lagniappe: 1.8,
+  lambasted: 1.3,
+  lamebrain: 2.4,
+  lamenting: 2.2,
+  laminated: 2.5,
+  laminates: 2.1,
+  lampposts: 2.1,
+  lampshade: 2.4,
+  landfills: 1.6,
+  landlords: 2.7,
+  landmarks: 2.5,
+  landowner: 2.6,
+  landscape: 3.4,
+  landslide: 2.9,
+  languages: 3.6,
+  languidly: 1.3,
+  larcenies: 1.3,
+  larcenous: 1.9,
+  largeness: 1.6,
+  lassitude: 1.6,
+  latecomer: 1.3,
+  laterally: 2.3,
+  lathering: 1.3,
+  latitudes: 2.1,
+  laughable: 2.7,
+  laughably: 1.6,
+  launchers: 2.6,
+  launching: 3.4,
+  laundered: 2.7,
+  launderer: 1.8,
+  laundress: 2.4,
+  laundries: 1.8,
+  laureates: 1.8,
+  lavishing: 1.6,
+  lawmakers: 2.5,
+  laxatives: 2.4,
+  laypeople: 1.6,
+  layperson: 2.1,
+  lazybones: 2.2,
+  leapfrogs: 1.3,
+  leastwise: 2.2,
+  leavening: 1.3,
+  lecherous: 2.6,
+  lecturers: 1.8,
+  lecturing: 3.1,
+  leftovers: 3.4,
+  legalized: 2.3,
+  legations: 1.3,
+  legendary: 3.6,
+  legislate: 2.5,
+  leisurely: 2.8,
+  leitmotif: 1.6,
+  lengthens: 1.8,
+  leniently: 1.3,
+  lessening: 1.9,
+  lethargic: 2.5,
+  letterbox: 1.6,
+  lettering: 2.7,
+  leukocyte: 1.3,
+  leveraged: 2.4,
+  leviathan: 2.8,
+  levitated: 2,
+  liability: 3.5,
+  libations: 2.1,
+  liberally: 2.5,
+  liberated: 3.3,
+  liberates: 2.1,
+  liberator: 2.6,
+  liberties: 3.2,
+  libertine: 2.2,
+  librarian: 3.5,
+  libraries: 2.8,
+  licensing: 2.3,
+  lifeblood: 2.4,
+  lifeboats: 2.8,
+  lifeguard: 3.2,
+  lifelines: 2.3,
+  lifesaver: 3.1,
+  lifespans: 1.8,
+  lifestyle: 3.7,
+  lifetimes: 3,
+  ligaments: 2.6,
+  ligatured: 1.3,
+  ligatures: 1.8,
+  lightened: 2.1,
+  lightness: 2.6,
+  lightning: 4.2,
+  likeliest: 1.8,
+  limbering: 1.9,
+  limelight: 2.9,
+  limericks: 2.5,
+  limestone: 2.7,
+  limitless: 2.8,
+  limousine: 3.5,
+  lingering: 2.9,
+  linguists: 1.9,
+  lionesses: 1.6,
+  lipsticks: 2.2,
+  liquefied: 2.1,
+  liquefies: 1.9,
+  liquidate: 2.9,
+  liquidity: 1.8,
+  listeners: 3.2,
+  listening: 4.8,
+  literally: 4.2,
+  litigants: 2,
+  litigated: 1.3,
+  litigious: 2.4,
+  litterbug: 1.8,
+  littering: 2.8,
+  liveliest: 1.6,
+  livestock: 3.3,
+  loathsome: 3,
+  lobbyists: 2.5,
+  localized: 2.6,
+  locations: 3.5,
+  locksmith: 3,
+  lodestone: 2.2,
+  loftiness: 1.3,
+  logarithm: 1.6,
+  logically: 3,
+  logistics: 2.8,
+  logotypes: 1.3,
+  loincloth: 2.2,
+  loiterers: 1.6,
+  loitering: 3.1,
+  lollipops: 2.6,
+  loneliest: 2.8,
+  longboats: 2.2,
+  longevity: 2.7,
+  longhairs: 1.9,
+  longhorns: 2.3,
+  longingly: 1.6,
+  longitude: 2.9,
+  lookalike: 1.8,
+  loopholes: 2.8,
+  looseness: 1.9,
+  loosening: 2.5,
+  lordships: 1.9,
+  lorgnette: 1.9,
+  loudmouth: 3,
+  lovebirds: 3.4,
+  loveliest: 3.1,
+  lowercase: 1.6,
+  loyalists: 2,
+  loyalties: 2.9,
+  lubricant: 2.8,
+  lubricate: 2.2,
+  lucrative: 3.1,
+  ludicrous: 3.2,
+  lullabies: 2.2,
+  lumbering: 2.4,
+  lumberman: 1.3,
+  lumbermen: 1.3,
+  luncheons: 2.4,
+  lunchroom: 2.5,
+  lunchtime: 3.4,
+  lustfully: 1.3,
+  luxuriant: 1.8,
+  luxuriate: 1.6,
+  luxurious: 3,
+  lymphatic: 2.4,
+  lymphomas: 1.3,
+  lynchings: 2.1,
+  lyrically: 2,
+  macaronis: 1.6,
+  macaroons: 2.6,
+  macerated: 1.9,
+  machinery: 3.6,
+  machinist: 2.6,
+  mackerels: 1.3,
+  maddening: 2.6,
+  madrigals: 1.3,
+  maelstrom: 2,
+  magazines: 4,
+  magically: 3.2,
+  magicians: 2.9,
+  magnesium: 3,
+  magnetism: 3,
+  magnetize: 1.8,
+  magnified: 2.5,
+  magnifier: 1.8,
+  magnifies: 1.9,
+  magnitude: 3.2,
+  magnolias: 2.4,
+  maharajah: 2.4,
+  maharishi: 2,
+  mailboxes: 2.8,
+  mainframe: 3.3,
+  mainlined: 1.3,
+  mainlines: 1.3,
+  mainsails: 1.6,
+  mainstays: 1.3,
+  maintains: 3,
+  majesties: 2.6,
+  majorette: 2.3,
+  makeshift: 2.6,
+  malformed: 2.1,
+  malicious: 3.2,
+  malignant: 3.1,
+  maligning: 1.6,
+  malleable: 2,
+  mammalian: 2.1,
+  mammogram: 2.1,
+  mandarins: 1.3,
+  mandatory: 3.4,
+  mandibles: 2,
+  mandolins: 1.3,
+  mandrakes: 1.8,
+  maneuvers: 3.2,
+  manganese: 2.3,
+  mangroves: 1.6,
+  manhandle: 2,
+  manicured: 2.5,
+  manicures: 2.5,
+  manifesto: 2.9,
+  manifests: 2.6,
+  manifolds: 1.6,
+  manliness: 2.4,
+  mannequin: 3.1,
+  mannerism: 1.6,
+  marathons: 2.1,
+  marauders: 2.4,
+  marauding: 2.2,
+  margarine: 2.8,
+  margarita: 3.1,
+  mariachis: 1.8,
+  marigolds: 2.4,
+  marijuana: 3.7,
+  marinated: 2.5,
+  marinates: 1.3,
+  markdowns: 1.3,
+  marketers: 1.3,
+  marketing: 3.7,
+  marmalade: 3,
+  marquises: 1.3,
+  marriages: 3.6,
+  marshaled: 1.8,
+  marsupial: 1.6,
+  martyrdom: 2.5,
+  martyring: 1.3,
+  marveling: 2.1,
+  marvelous: 4.1,
+  masculine: 3.4,
+  masochism: 2.1,
+  masochist: 2.8,
+  massacred: 3,
+  massacres: 2.6,
+  massaging: 2.8,
+  masseuses: 1.8,
+  massively: 2.3,
+  masterful: 2.6,
+  mastering: 2.4,
+  mastheads: 1.3,
+  mastodons: 1.6,
+  matchbook: 3,
+  matchless: 2.1,
+  materials: 3.6,
+  maternity: 3.4,
+  matriarch: 2.5,
+  matricide: 1.3,
+  matrimony: 3.4,
+  mattering: 2.1,
+  mausoleum: 2.9,
+  mavericks: 2.7,
+  maxillary: 1.8,
+  maximally: 1.3,
+  maximized: 1.6,
+  maximizes: 1.9,
+  mayflower: 3.2,
+  mayoralty: 1.3,
+  mealtimes: 1.6,
+  meandered: 1.3,
+  meanwhile: 4.2,
+  measuring: 3.4,
+  meatballs: 3.4,
+  mechanics: 3.4,
+  mechanism: 3.6,
+  medalists: 1.6,
+  medallion: 3.1,
+  mediating: 1.8,
+  mediation: 2.7,
+  mediators: 1.3,
+  medically: 3.2,
+  medicated: 2.8,
+  medicates: 1.3,
+  medicinal: 2.8,
+  medicines: 3.1,
+  meditated: 2.1,
+  megabytes: 1.9,
+  megahertz: 2.2,
+  megaphone: 2.5,
+  melanomas: 1.3,
+  mellowing: 1.8,
+  melodious: 2.2,
+  melodrama: 2.8,
+  meltdowns: 2.2,
+  membranes: 2.7,
+  memorable: 3.4,
+  memorials: 1.8,
+  memorized: 3.3,
+  memorizes: 1.3,
+  menagerie: 2.5,
+  mendacity: 2.5,
+  mendicant: 1.6,
+  menopause: 3.1,
+  menstrual: 2.7,
+  mentality: 3.3,
+  mentioned: 4.5,
+  mentoring: 2.4,
+  mercenary: 3.3,
+  merchants: 3,
+  merciless: 3.1,
+  mercurial: 2.2,
+  meridians: 1.3,
+  meringues: 1.8,
+  merriment: 2.4,
+  mescaline: 2.8,
+  mesmerism: 1.9,
+  mesmerize: 1.3,
+  messenger: 3.9,
+  messieurs: 2.8,
+  messiness: 1.3,
+  metabolic: 2.9,
+  metacarpi: 1.3,
+  metaphors: 2.9,
+  meteorite: 2.9,
+  methadone: 2.9,
+  methought: 2.1,
+  metronome: 2.3,
+  mezzanine: 2.7,
+  microchip: 3.2,
+  microcosm: 2.1,
+  microfilm: 3.1,
+  microwave: 3.6,
+  middleman: 2.9,
+  middlemen: 2.4,
+  midstream: 1.6,
+  midsummer: 2.8,
+  midwinter: 1.6,
+  mightiest: 2.5,
+  migraines: 2.9,
+  migrating: 2.6,
+  migration: 2.8,
+  migratory: 2.4,
+  mileposts: 1.3,
+  milestone: 2.8,
+  militants: 2.4,
+  milkiness: 1.3,
+  milkmaids: 1.9,
+  milkshake: 2.9,
+  millennia: 2.6,
+  milligram: 2.7,
+  milliners: 1.6,
+  millinery: 2.1,
+  millionth: 2.8,
+  millstone: 2.6,
+  mimicking: 2.6,
+  mincemeat: 2.6,
+  minefield: 3,
+  miniature: 3.4,
+  minibikes: 1.6,
+  minibuses: 1.6,
+  minimally: 1.8,
+  minimized: 1.3,
+  minimizes: 1.3,
+  miniskirt: 2.6,
+  ministers: 3.2,
+  minstrels: 2.1,
+  minuscule: 2.4,
+  minuteman: 2.4,
+  minutemen: 2.7,
+  mirroring: 1.8,
+  mirthless: 1.3,
+  misbehave: 2.8,
+  miscalled: 1.3,
+  mischance: 1.8,
+  miscreant: 2.4,
+  misdirect: 2.4,
+  miserable: 4.3,
+  miserably: 3,
+  misfiring: 2,
+  misgiving: 1.8,
+  misguided: 3.2,
+  misjudged: 3.1,
+  mismanage: 1.8,
+  misplaced: 3.4,
+  misplaces: 1.3,
+  misprints: 1.3,
+  misquoted: 2.4,
+  misshapen: 2.5,
+  misspells: 1.3,
+  mistaking: 2.9,
+  mistletoe: 3.3,
+  mistreats: 1.8,
+  mitigated: 1.9,
+  mitigates: 1.3,
+  mnemonics: 1.6,
+  mobilized: 2.8,
+  moccasins: 2.5,
+  mockeries: 1.8,
+  mockingly: 1.9,
+  moderated: 1.6,
+  moderates: 1.8,
+  moderator: 2.2,
+  modernism: 1.6,
+  modernity: 1.8,
+  modernize: 2.1,
+  modifying: 2.2,
+  modulated: 1.6,
+  modulates: 1.6,
+  modulator: 2.1,
+  moistened: 2,
+  moldering: 1.6,
+  molecular: 3.4,
+  molecules: 3.4,
+  molehills: 1.8,
+  molesters: 2.5,
+  molesting: 3,
+  mollified: 1.9,
+  momentary: 3,
+  momentous: 2.8,
+  monastery: 3.6,
+  moneybags: 2.4,
+  mongering: 1.6,
+  monitored: 3.3,
+  monkeying: 2.3,
+  monograph: 2.1,
+  monoliths: 1.6,
+  monologue: 3.1,
+  monotones: 1.3,
+  monsignor: 3.3,
+  monstrous: 3.4,
+  monthlies: 1.6,
+  monuments: 3,
+  moodiness: 1.9,
+  moonbeams: 2.5,
+  moonlight: 3.8,
+  moonscape: 1.8,
+  moonshine: 3,
+  moonstone: 2.1,
+  moralists: 1.6,
+  moralizes: 1.3,
+  morbidity: 2,
+  mortality: 3.2,
+  mortgaged: 2.5,
+  mortgagee: 1.9,
+  mortgages: 2.8,
+  mortician: 2.8,
+  mortified: 3,
+  mortifies: 1.3,
+  mortising: 1.3,
+  mothballs: 2.8,
+  mothering: 2.6,
+  motioning: 1.6,
+  motivated: 3.5,
+  motivates: 2.3,
+  motivator: 2.4,
+  motocross: 2.1,
+  motorbike: 2.9,
+  motorboat: 2.8,
+  motorcade: 3.1,
+  motorcars: 2.3,
+  motorists: 2.2,
+  motorized: 2.5,
+  motorways: 1.9,
+  mountains: 4.3,
+  mountings: 1.8,
+  mousetrap: 2.8,
+  mouthfuls: 1.6,
+  mouthwash: 3,
+  movements: 3.7,
+  muckraker: 1.6,
+  muddiness: 1.3,
+  multiples: 2.5,
+  multiplex: 2.6,
+  multitude: 2.8,
+  mummified: 2.4,
+  municipal: 3.2,
+  munitions: 3.1,
+  murderers: 3.8,
+  murderess: 2.9,
+  murdering: 3.7,
+  murderous: 3.3,
+  murmuring: 3.2,
+  muscatels: 1.3,
+  mushrooms: 3.5,
+  musicales: 1.6,
+  musically: 2.7,
+  musicians: 3.6,
+  musketeer: 2.6,
+  mustaches: 2.5,
+  mustering: 1.8,
+  mutations: 2.9,
+  mutilated: 3.1,
+  mutilates: 1.9,
+  mutineers: 1.9,
+  mutinying: 1.6,
+  muttering: 3.2,
+  mutuality: 1.8,
+  mysteries: 3.5,
+  mysticism: 2.6,
+  mystified: 2.7,
+  mystifies: 1.3,
+  mythology: 3.3,
+  nakedness: 2.7,
+  napalming: 1.6,
+  narcissus: 2.4,
+  narcotics: 3.7,
+  narrating: 2.5,
+  narration: 2.4,
+  narrative: 3,
+  narrators: 1.3,
+  narrowest: 2.2,
+  narrowing: 2.7,
+  nastiness: 2.2,
+  nationals: 3.2,
+  naturally: 4.4,
+  naughtier: 1.3,
+  nauseated: 2.4,
+  nauseates: 1.3,
+  navigable: 1.8,
+  navigated: 2.2,
+  navigates: 1.3,
+  navigator: 3.4,
+  naysayers: 2.1,
+  necessary: 4.7,
+  necessity: 3.5,
+  necklaces: 2.9,
+  nectarine: 1.8,
+  neediness: 1.8,
+  nefarious: 2.9,
+  negatives: 3.1,
+  neglected: 3.6,
+  negligees: 1.6,
+  negligent: 3,
+  negotiate: 3.8,
+  neighbors: 4.2,
+  nematodes: 1.3,
+  neodymium: 2.1,
+  neophytes: 2.1,
+  nephritis: 1.6,
+  nervously: 2.7,
+  networked: 2.2,
+  neuralgia: 2.3,
+  neurology: 2.7,
+  neurotics: 2,
+  neutering: 2.2,
+  neutrally: 1.3,
+  neutrinos: 1.6,
+  nevermore: 2.4,
+  newcomers: 2.8,
+  newlyweds: 3.2,
+  newscasts: 1.8,
+  newsflash: 2.8,
+  newspaper: 4.4,
+  newsprint: 2.2,
+  newsreels: 2.5,
+  newsstand: 3,
+  nicknamed: 2.8,
+  nicknames: 3,
+  nightcaps: 1.3,
+  nightclub: 3.7,
+  nightfall: 3.4,
+  nightgown: 3.3,
+  nighthawk: 2.7,
+  nightlife: 2.7,
+  nightmare: 4.4,
+  nighttime: 3.3,
+  nihilists: 1.8,
+  ninetieth: 1.3,
+  nitrating: 1.3,
+  nobleness: 2,
+  nocturnal: 3.1,
+  nocturnes: 1.3,
+  noiseless: 1.8,
+  noisiness: 1.3,
+  nominated: 3.4,
+  nominates: 2,
+  nonentity: 1.8,
+  nonpareil: 1.6,
+  nonprofit: 2.5,
+  nonsmoker: 2.1,
+  nonverbal: 2.1,
+  nonvoting: 1.3,
+  normality: 2.5,
+  normalize: 1.9,
+  normative: 1.8,
+  northeast: 3.5,
+  northerly: 1.8,
+  northward: 2.3,
+  northwest: 3.6,
+  nosebleed: 2.9,
+  nosedives: 1.6,
+  nostalgia: 2.9,
+  nostalgic: 3,
+  notarized: 2.7,
+  notations: 2.3,
+  notebooks: 3.2,
+  notepaper: 1.6,
+  notifying: 2.7,
+  notoriety: 2.7,
+  notorious: 3.6,
+  nourished: 2.5,
+  nourishes: 1.9,
+  novelette: 1.6,
+  novelists: 2.3,
+  novelties: 2.1,
+  novitiate: 2.2,
+  nuisances: 1.8,
+  nullified: 2.1,
+  nullifies: 2.2,
+  numbering: 1.8,
+  numerator: 2,
+  numerical: 2.6,
+  numskulls: 1.6,
+  nursemaid: 2.7,
+  nurseries: 2.2,
+  nurturing: 2.9,
+  nutrients: 2.8,
+  nutrition: 3,
+  nutritive: 1.3,
+  nuttiness: 2,
+  obedience: 3.2,
+  obeisance: 1.9,
+  obfuscate: 2,
+  objecting: 2.4,
+  objection: 4.3,
+  objective: 3.8,
+  objectors: 1.8,
+  obligated: 3.4,
+  obligates: 1.3,
+  obliquely: 1.6,
+  oblivious: 3,
+  obnoxious: 3.5,
+  obscenely: 2.4,
+  obscenest: 1.3,
+  obscenity: 3,
+  obscurely: 1.3,
+  obscuring: 2.2,
+  obscurity: 2.7,
+  observant: 3.1,
+  observers: 3,
+  observing: 3.5,
+  obsessing: 3.2,
+  obsession: 3.8,
+  obsessive: 3.2,
+  obstacles: 3.4,
+  obstetric: 2.1,
+  obstinacy: 2,
+  obstinate: 3,
+  obstructs: 1.8,
+  obtaining: 2.9,
+  obtrusive: 1.6,
+  obviously: 4.8,
+  occasions: 3.6,
+  occlusion: 2.1,
+  occupancy: 2.4,
+  occupants: 2.6,
+  occupying: 2.9,
+  occurring: 2.9,
+  octagonal: 2.1,
+  octopuses: 1.3,
+  offenders: 3.3,
+  offending: 3,
+  offensive: 3.8,
+  offerings: 2.8,
+  offertory: 1.3,
+  officials: 3.8,
+  officiate: 2.3,
+  officious: 2.2,
+  offloaded: 1.3,
+  offshoots: 1.6,
+  offspring: 3.4,
+  oilfields: 1.8,
+  ointments: 1.6,
+  oleanders: 1.3,
+  olfactory: 2.7,
+  oligarchs: 1.3,
+  oligarchy: 2.2,
+  ombudsman: 2.1,
+  ominously: 1.3,
+  omissions: 1.3,
+  onlookers: 2.5,
+  onrushing: 1.6,
+  onslaught: 2.5,
+  operating: 4.1,
+  operation: 4.6,
+  operative: 3.5,
+  operators: 3.2,
+  operettas: 1.3,
+  opponents: 3.3,
+  opportune: 2.4,
+  opposites: 3,
+  oppressed: 3.1,
+  oppresses: 1.3,
+  oppressor: 2.7,
+  optically: 1.3,
+  optimists: 2.2,
+  optioning: 1.6,
+  optometry: 1.6,
+  orangeade: 1.3,
+  orangutan: 2.8,
+  orchestra: 3.7,
+  orderlies: 2.6,
+  ordinance: 3.2,
+  organisms: 2.9,
+  organized: 4,
+  organizer: 2.6,
+  organizes: 2.5,
+  orgiastic: 1.9,
+  orientals: 2.7,
+  orientate: 1.3,
+  originals: 3.1,
+  originate: 2.5,
+  ornaments: 3,
+  orneriest: 1.9,
+  orphanage: 3.7,
+  orthodoxy: 1.9,
+  oscillate: 1.8,
+  osteopath: 2.3,
+  ostracism: 1.8,
+  ostracize: 1.3,
+  ostriches: 2.5,
+  otherwise: 4.6,
+  ourselves: 4.7,
+  outbreaks: 2.1,
+  outbursts: 2.9,
+  outermost: 1.9,
+  outfitted: 2.5,
+  outfitter: 1.6,
+  outgrowth: 1.6,
+  outhouses: 2,
+  outlasted: 1.8,
+  outlawing: 1.3,
+  outlining: 2.2,
+  outliving: 1.9,
+  outnumber: 2.9,
+  outplayed: 2,
+  outranked: 1.9,
+  outriders: 1.3,
+  outrigger: 2.5,
+  outshines: 1.8,
+  outsiders: 3.2,
+  outskirts: 2.9,
+  outsmarts: 1.6,
+  outsource: 1.9,
+  outspoken: 2.7,
+  outstayed: 1.9,
+  outstrips: 1.6,
+  outwardly: 2.4,
+  outweighs: 2.4,
+  outwitted: 2.3,
+  overbites: 1.3,
+  overblown: 2.4,
+  overboard: 3.7,
+  overcoats: 2.5,
+  overcomes: 2.6,
+  overcrowd: 1.3,
+  overdoing: 3,
+  overdosed: 2.6,
+  overdoses: 2.2,
+  overdraft: 2,
+  overdrawn: 2.3,
+  overdress: 1.3,
+  overdrive: 2.8,
+  overeager: 2.3,
+  overflows: 2.2,
+  overgrown: 3,
+  overheads: 2.1,
+  overheard: 3.6,
+  overhears: 1.6,
+  overheats: 1.6,
+  overjoyed: 2.9,
+  overloads: 1.9,
+  overlooks: 2.4,
+  overlords: 2,
+  overlying: 1.6,
+  overnight: 4,
+  overpower: 2.8,
+  overprice: 1.3,
+  overrated: 3.4,
+  overreach: 1.8,
+  overreact: 3.2,
+  overrides: 2.4,
+  overruled: 3.5,
+  overrules: 1.3,
+  overseers: 2.2,
+  oversexed: 2.5,
+  overshoot: 2.1,
+  oversight: 3.2,
+  oversleep: 2.2,
+  overslept: 3.1,
+  overspend: 1.6,
+  overspent: 1.3,
+  overstate: 1.9,
+  oversteps: 1.3,
+  overstock: 1.6,
+  overtaken: 2.7,
+  overtakes: 1.3,
+  overtaxed: 1.8,
+  overthink: 2.3,
+  overthrew: 2.1,
+  overthrow: 3.1,
+  overtones: 2.6,
+  overtures: 2.6,
+  overturns: 2.2,
+  overusing: 1.9,
+  overviews: 1.3,
+  overwhelm: 2.8,
+  overworks: 1.3,
+  overwrite: 2,
+  ovulating: 2.8,
+  ovulation: 2.2,
+  ownership: 3.4,
+  oxidation: 2.4,
+  oxidizers: 1.3,
+  oxidizing: 1.6,
+  oxygenate: 1.9,
+  pacemaker: 2.9,
+  pachyderm: 2.1,
+  pacifiers: 1.8,
+  pacifists: 2.2,
+  pacifying: 1.3,
+  packaging: 2.9,
+  padlocked: 2.5,
+  pageantry: 2.3,
+  paginates: 1.8,
+  painfully: 3.3,
+  paintings: 4.1,
+  paintwork: 1.3,
+  palatable: 2.4,
+  palefaces: 1.6,
+  palisades: 2.8,
+  palladium: 2.5,
+  palmettos: 1.8,
+  palmistry: 2,
+  palominos: 1.3,
+  palpating: 1.8,
+  palpation: 2.1,
+  palpitate: 1.6,
+  pampering: 2.6,
+  pamphlets: 2.9,
+  panderers: 1.3,
+  pandering: 2.5,
+  panegyric: 1.3,
+  panelists: 2.1,
+  panhandle: 2.6,
+  panicking: 3.2,
+  panoramic: 1.6,
+  pantomime: 2.5,
+  pantsuits: 2,
+  pantyhose: 3.2,
+  paperback: 2.7,
+  paperboys: 1.3,
+  paperwork: 4,
+  parabolas: 1.3,
+  parabolic: 2.4,
+  parachute: 3.5,
+  paradigms: 1.8,
+  paradises: 1.3,
+  paradoxes: 2.3,
+  paragraph: 3.5,
+  parakeets: 2.1,
+  paralegal: 3,
+  parallels: 2.2,
+  paralyses: 1.3,
+  paralysis: 3.3,
+  paralytic: 2.2,
+  paralyzed: 3.6,
+  paralyzes: 2.2,
+  paramecia: 1.3,
+  paramedic: 3.3,
+  parameter: 2.4,
+  paramount: 3.4,
+  paramours: 1.3,
+  paranoids: 2,
+  parasites: 3.1,
+  parasitic: 2.7,
+  parboiled: 2.1,
+  parchment: 2.9,
+  pardoning: 2.1,
+  parentage: 2.2,
+  parenting: 3.4,
+  parleying: 1.6,
+  parochial: 2.5,
+  parricide: 1.8,
+  parroting: 1.3,
+  parsonage: 2,
+  partaking: 1.9,
+  partially: 3.3,
+  particles: 3.5,
+  partisans: 2.2,
+  partition: 2.7,
+  partnered: 2.7,
+  partridge: 3.5,
+  passenger: 4,
+  passersby: 2.4,
+  passively: 2.1,
+  passivity: 1.8,
+  passports: 3.4,
+  passwords: 3,
+  patchwork: 2,
+  patenting: 1.8,
+  paternity: 3,
+  pathogens: 2.1,
+  pathology: 3.2,
+  patiently: 3,
+  patriarch: 2.5,
+  patrician: 2,
+  patricide: 1.8,
+  patrimony: 1.3,
+  patriotic: 3.4,
+  patrolled: 2.4,
+  patrolman: 3.1,
+  patrolmen: 2.6,
+  patronage: 2.6,
+  patronize: 3.2,
+  pattering: 2.1,
+  patterned: 2.4,
+  pavements: 2.1,
+  pavilions: 1.8,
+  pawnshops: 2.1,
+  paychecks: 2.9,
+  paymaster: 2.2,
+  peaceable: 2.1,
+  peaceably: 2.4,
+  peacetime: 2.6,
+  peasantry: 2,
+  pectorals: 2.4,
+  pecuniary: 1.3,
+  pedagogue: 2,
+  pederasts: 1.8,
+  pederasty: 1.3,
+  pedestals: 2,
+  pediatric: 3.2,
+  pedicures: 2.5,
+  pedigreed: 2.1,
+  pedigrees: 1.6,
+  pedometer: 1.3,
+  peepholes: 1.8,
+  penalized: 2.6,
+  penalizes: 1.3,
+  penalties: 3,
+  pendulous: 1.8,
+  pendulums: 1.9,
+  penetrate: 3.5,
+  peninsula: 3.1,
+  penitence: 1.8,
+  penknives: 1.3,
+  penlights: 1.3,
+  penniless: 3.1,
+  pensioned: 1.8,
+  pensively: 1.3,
+  penthouse: 3.7,
+  penurious: 1.3,
+  peppering: 2.1,
+  pepperoni: 3.4,
+  perceived: 3.2,
+  perceives: 2.2,
+  perchance: 2.9,
+  percolate: 2.2,
+  perdition: 2.4,
+  perennial: 2.5,
+  perfected: 3.1,
+  perfectly: 4.6,
+  perforate: 2.2,
+  performed: 3.9,
+  performer: 3.4,
+  perfumery: 1.6,
+  perimeter: 4,
+  periphery: 2.5,
+  periscope: 3.1,
+  perishing: 2.2,
+  perjurers: 1.8,
+  perjuring: 2.1,
+  perkiness: 1.9,
+  permanent: 4.1,
+  permeable: 1.8,
+  permeated: 2.1,
+  permeates: 2,
+  permitted: 3.6,
+  peroxided: 1.3,
+  perpetual: 3.2,
+  perplexed: 2.5,
+  persecute: 2.8,
+  persevere: 2.6,
+  persimmon: 1.9,
+  persisted: 2.4,
+  personage: 2.3,
+  personals: 2.9,
+  personify: 2.1,
+  personnel: 4.2,
+  perspired: 1.6,
+  perspires: 1.3,
+  persuaded: 3.4,
+  persuades: 2.4,
+  pertained: 1.3,
+  pertinent: 3.1,
+  perturbed: 2.6,
+  pervasive: 2.5,
+  perverted: 3.2,
+  pessimism: 2.5,
+  pessimist: 2.7,
+  pestering: 2.9,
+  pesticide: 2.5,
+  pestilent: 1.3,
+  petitions: 2.6,
+  petrified: 3.2,
+  petrifies: 1.3,
+  petroleum: 3.1,
+  petticoat: 2.9,
+  pettiness: 2.2,
+  petulance: 2,
+  phalanges: 2.5,
+  phantasms: 1.6,
+  pheasants: 2.4,
+  phenomena: 3.2,
+  phenotype: 1.3,
+  pheromone: 2.6,
+  philander: 1.6,
+  phlebitis: 2.1,
+  phoenixes: 1.3,
+  phonetics: 2,
+  phoniness: 1.9,
+  phosphate: 2.6,
+  photocopy: 2.5,
+  physicals: 2.5,
+  physician: 3.8,
+  physicist: 3.1,
+  physiques: 1.3,
+  picketing: 2.4,
+  picnicker: 1.3,
+  pictorial: 2.3,
+  picturing: 3,
+  piecemeal: 2.1,
+  piecework: 2,
+  piercings: 2.7,
+  piggyback: 3,
+  pigheaded: 2.8,
+  pilasters: 1.3,
+  pilchards: 1.8,
+  pilfering: 2.5,
+  pillaging: 2.2,
+  pillboxes: 2,
+  pillories: 1.3,
+  pimientos: 2.1,
+  pimpernel: 2.8,
+  pinafores: 1.6,
+  pineapple: 3.4,
+  pinnacles: 1.6,
+  pinpoints: 2.2,
+  pinpricks: 1.8,
+  pinstripe: 2.3,
+  pinwheels: 2,
+  pioneered: 2.3,
+  pipelines: 2.4,
+  pipsqueak: 2.6,
+  piratical: 1.6,
+  pirouette: 2.5,
+  pistachio: 3.2,
+  pitchfork: 2.8,
+  piteously: 1.3,
+  pitifully: 2.4,
+  pituitary: 2.8,
+  pizzicato: 2.1,
+  placating: 1.9,
+  placement: 3.3,
+  placental: 1.6,
+  placentas: 1.3,
+  plainness: 1.6,
+  plaintiff: 3.6,
+  plaintive: 2.1,
+  planetary: 3,
+  plantains: 1.6,
+  plantings: 1.3,
+  plastered: 3.3,
+  plasterer: 2.1,
+  plastique: 2.3,
+  plateaued: 1.3,
+  platelets: 2.5,
+  platforms: 2.9,
+  platitude: 1.3,
+  plausible: 3.2,
+  playfully: 2.2,
+  playhouse: 2.8,
+  playlists: 1.6,
+  playmates: 2.8,
+  playrooms: 1.6,
+  plaything: 2.7,
+  pleasured: 2,
+  pleasures: 3.5,
+  plebeians: 1.3,
+  plenitude: 1.6,
+  plentiful: 2.5,
+  plighting: 1.3,
+  plummeted: 2.4,
+  plundered: 2.5,
+  pluralism: 1.3,
+  plurality: 1.3,
+  plutonium: 3.3,
+  pneumatic: 2.6,
+  pneumonia: 3.7,
+  pocketful: 2.6,
+  pocketing: 1.9,
+  pockmarks: 1.6,
+  poetesses: 1.3,
+  poignancy: 1.6,
+  pointedly: 1.6,
+  pointless: 3.6,
+  poisoners: 1.8,
+  poisoning: 3.8,
+  poisonous: 3.5,
+  polarized: 2.5,
+  polarizes: 1.3,
+  policeman: 4.1,
+  policemen: 3.6,
+  polishers: 1.3,
+  polishing: 3.1,
+  political: 4.3,
+  politicos: 1.8,
+  pollinate: 2.1,
+  polliwogs: 1.3,
+  pollsters: 1.3,
+  pollutant: 1.3,
+  polluters: 1.6,
+  polluting: 2.7,
+  pollution: 3.3,
+  polonaise: 1.8,
+  poltroons: 1.3,
+  polyester: 3.1,
+  polygonal: 1.6,
+  polygraph: 3.2,
+  polythene: 2.1,
+  pompadour: 2.5,
+  pomposity: 1.9,
+  pompously: 1.3,
+  pondering: 2.8,
+  ponderous: 2.3,
+  ponytails: 1.9,
+  poorhouse: 2.4,
+  popinjays: 1.6,
+  poppycock: 2.6,
+  popularly: 1.8,
+  populated: 3,
+  porcelain: 3.2,
+  porcupine: 2.8,
+  porpoises: 2.1,
+  porringer: 1.3,
+  portables: 2.2,
+  portaging: 1.3,
+  portfolio: 3.3,
+  portholes: 2,
+  porticoes: 1.3,
+  portioned: 1.3,
+  portraits: 3.1,
+  portrayal: 2.5,
+  portrayed: 2.8,
+  positions: 4,
+  positives: 2.2,
+  positrons: 1.3,
+  possessed: 3.8,
+  possesses: 3.1,
+  possessor: 2.3,
+  possibles: 2.4,
+  postcards: 3.3,
+  postdated: 1.6,
+  postdates: 1.3,
+  posterior: 2.8,
+  posterity: 2.8,
+  posthaste: 2.4,
+  postmarks: 2,
+  postnatal: 1.8,
+  postponed: 3.3,
+  postpones: 1.6,
+  postulate: 1.8,
+  posturing: 2.5,
+  potassium: 3.2,
+  potboiler: 1.3,
+  potentate: 2.4,
+  potential: 4.3,
+  potpourri: 2.7,
+  powdering: 2.3,
+  powerboat: 1.9,
+  powerless: 3.6,
+  practical: 4.1,
+  practiced: 3.5,
+  practices: 3.4,
+  pragmatic: 2.8,
+  prankster: 2.3,
+  pratfalls: 2.1,
+  prattling: 2.5,
+  preachers: 2.7,
+  preaching: 3.3,
+  precedent: 3.4,
+  preceding: 2.8,
+  preceptor: 2,
+  precincts: 2.7,
+  precipice: 2.7,
+  precisely: 4.1,
+  precision: 3.5,
+  precluded: 1.3,
+  precludes: 2.5,
+  precocity: 1.8,
+  precursor: 2.1,
+  predating: 1.3,
+  predators: 3.3,
+  predatory: 2.8,
+  predicate: 1.3,
+  predicted: 3.4,
+  predictor: 1.8,
+  preempted: 2,
+  preferred: 3.6,
+  pregnancy: 3.8,
+  preheated: 1.9,
+  prejudged: 1.8,
+  prejudice: 3.5,
+  premature: 3.5,
+  premiered: 2.1,
+  premieres: 2.4,
+  preoccupy: 1.8,
+  preparing: 4,
+  prerecord: 1.3,
+  preschool: 3.1,
+  prescient: 1.9,
+  prescribe: 3.2,
+  presented: 3.8,
+  presenter: 2.6,
+  presently: 3.4,
+  preserved: 3.3,
+  preserver: 2.4,
+  preserves: 2.9,
+  preshrunk: 1.3,
+  president: 5.1,
+  presiding: 3.2,
+  pressings: 1.6,
+  pressured: 2.9,
+  pressures: 3.2,
+  presuming: 2.7,
+  pretended: 3.7,
+  pretender: 3.3,
+  pretenses: 2.9,
+  prettiest: 3.8,
+  prettying: 1.9,
+  prevailed: 2.7,
+  prevalent: 2.5,
+  prevented: 3.3,
+  previewed: 1.9,
+  priceless: 3.6,
+  priestess: 3.1,
+  primaries: 2.6,
+  primarily: 3.3,
+  primitive: 3.7,
+  primroses: 1.8,
+  principal: 4.1,
+  principle: 3.9,
+  printings: 1.8,
+  printouts: 2.3,
+  prismatic: 1.6,
+  prisoners: 4.2,
+  privateer: 1.9,
+  privately: 3.6,
+  privation: 2,
+  privatize: 1.8,
+  privilege: 4,
+  proactive: 2.8,
+  probables: 1.8,
+  probation: 3.8,
+  proboscis: 2.4,
+  procedure: 4.2,
+  proceeded: 3.1,
+  processed: 3.4,
+  processes: 3,
+  processor: 3,
+  proclaims: 2.4,
+  procreate: 2.7,
+  procurers: 1.8,
+  procuring: 2.1,
+  prodigals: 1.3,
+  prodigies: 2.1,
+  producers: 3.5,
+  producing: 3.4,
+  profanely: 1.3,
+  profaning: 1.3,
+  profanity: 2.9,
+  professed: 2.1,
+  professes: 1.6,
+  professor: 4.8,
+  proffered: 2.3,
+  profiling: 3.1,
+  profiteer: 1.9,
+  profiting: 2.5,
+  profusely: 2.5,
+  profusion: 2,
+  prognosis: 3,
+  prohibits: 2.7,
+  projected: 3.1,
+  projector: 3.1,
+  prolixity: 1.3,
+  prolonged: 3,
+  promenade: 2.9,
+  prominent: 3.4,
+  promising: 3.8,
+  promoters: 2.6,
+  promoting: 3.3,
+  promotion: 4,
+  prompting: 2.5,
+  proneness: 1.3,
+  pronounce: 3.8,
+  proofread: 2.4,
+  propagate: 2.6,
+  propelled: 2.4,
+  propeller: 3.2,
+  prophetic: 2.6,
+  proponent: 2.3,
+  proposals: 3.2,
+  proposing: 3.5,
+  propriety: 2.6,
+  proscribe: 1.6,
+  prosecute: 3.5,
+  prospects: 3.3,
+  prospered: 2.4,
+  prostrate: 2.6,
+  protected: 4,
+  protector: 3.5,
+  protested: 2.9,
+  protester: 2.3,
+  protocols: 3.4,
+  prototype: 3.5,
+  protrudes: 1.8,
+  provender: 1.3,
+  provident: 1.6,
+  providers: 2.5,
+  providing: 3.6,
+  provinces: 2.9,
+  provision: 2.9,
+  provoking: 3,
+  proximity: 3.2,
+  prudently: 1.6,
+  psalmists: 1.3,
+  pseudonym: 2.1,
+  psoriasis: 2.7,
+  psychical: 1.3,
+  psychoses: 1.9,
+  psychosis: 3.1,
+  psychotic: 3.8,
+  pubescent: 2.3,
+  publicist: 3.3,
+  publicity: 4,
+  publicize: 2.4,
+  published: 3.9,
+  publisher: 3.7,
+  publishes: 2.5,
+  puckering: 1.9,
+  puerility: 1.3,
+  puffiness: 2.1,
+  pugilists: 1.8,
+  pugnacity: 1.3,
+  pulmonary: 3.2,
+  pulsating: 2.6,
+  pulsation: 1.8,
+  pulverize: 2.3,
+  pummeling: 1.6,
+  punchline: 2.5,
+  punctuate: 1.8,
+  punctured: 3,
+  punctures: 2.6,
+  punishing: 3.5,
+  puppeteer: 3.1,
+  purchased: 3.6,
+  purchaser: 2,
+  purchases: 3,
+  purebreds: 1.6,
+  purgative: 1.8,
+  purgatory: 3,
+  purifiers: 2,
+  purifying: 2.3,
+  purloined: 1.8,
+  purported: 2,
+  purposely: 3,
+  purveying: 1.3,
+  purveyors: 1.6,
+  pushcarts: 1.3,
+  pushovers: 2.1,
+  pussycats: 2.4,
+  pussyfoot: 2.1,
+  putrefied: 1.9,
+  puttering: 2.1,
+  pyramidal: 2,
+  pyromania: 1.3,
+  quadrants: 2.6,
+  quadratic: 2,
+  quadrille: 1.8,
+  quadruped: 2.2,
+  quadruple: 2.9,
+  quaintest: 1.6,
+  qualified: 3.9,
+  qualifier: 2.1,
+  qualifies: 3.1,
+  qualities: 3.7,
+  quarreled: 2.8,
+  quartered: 2.7,
+  quarterly: 2.9,
+  quenching: 1.6,
+  questions: 5.1,
+  quibbling: 2.2,
+  quickened: 2,
+  quicklime: 2,
+  quickness: 2.1,
+  quicksand: 3.2,
+  quietness: 2.1,
+  quintuple: 1.3,
+  quivering: 2.7,
+  quizzical: 1.3,
+  quotation: 2.5,
+  quotidian: 1.3,
+  rabbiting: 1.6,
+  racehorse: 3.1,
+  racetrack: 3.3,
+  racketeer: 2.2,
+  raconteur: 2.1,
+  radiantly: 1.8,
+  radiating: 2.5,
+  radiation: 3.9,
+  radiators: 2.3,
+  radically: 2.8,
+  radiogram: 2.2,
+  radiology: 3.3,
+  railroads: 3,
+  raincoats: 2.5,
+  raindrops: 2.9,
+  rainmaker: 2.7,
+  rainstorm: 2.9,
+  rainwater: 2.3,
+  rampaging: 2.2,
+  rancorous: 1.6,
+  ransacked: 2.8,
+  ransoming: 1.6,
+  rapacious: 2,
+  rapturous: 1.8,
+  raspberry: 3.3,
+  ratifying: 1.3,
+  rationale: 2.6,
+  rationals: 1.6,
+  rationing: 2.8,
+  raunchier: 1.3,
+  ravishing: 3.2,
+  reachable: 2.4,
+  reactions: 3.4,
+  readiness: 3.1,
+  reaffirms: 2.3,
+  realistic: 3.7,
+  realities: 3.3,
+  realizing: 3.4,
+  reanimate: 1.9,
+  reappears: 2.2,
+  reapplied: 1.3,
+  rearrange: 3.2,
+  reasoning: 3.3,
+  reasserts: 1.3,
+  reassured: 2.7,
+  reassures: 1.3,
+  reawakens: 1.3,
+  rebelling: 2.5,
+  rebellion: 3.4,
+  rebounded: 2,
+  rebuttals: 1.8,
+  recalling: 2.6,
+  recanting: 1.3,
+  recapping: 2,
+  recapture: 2.9,
+  recasting: 1.9,
+  receipted: 1.6,
+  receivers: 2.7,
+  receiving: 3.9,
+  reception: 4,
+  receptive: 3.1,
+  receptors: 2.8,
+  recession: 2.7,
+  recessive: 1.9,
+  recharged: 1.9,
+  recharges: 1.9,
+  rechecked: 2.4,
+  recipient: 3.1,
+  reckoning: 3,
+  reclaimed: 2.4,
+  recliners: 1.6,
+  reclining: 2.6,
+  reclusive: 2.5,
+  recognize: 4.5,
+  recollect: 3,
+  recombine: 1.6,
+  recommend: 4.1,
+  reconcile: 3.1,
+  reconnect: 3,
+  reconquer: 1.6,
+  reconvene: 2.8,
+  recorders: 2.8,
+  recording: 4.2,
+  recounted: 1.8,
+  recouping: 1.3,
+  recovered: 3.9,
+  recreated: 2.7,
+  recreates: 1.9,
+  recruited: 3.4,
+  recruiter: 2.8,
+  rectangle: 2.3,
+  rectified: 2.5,
+  rectitude: 2.2,
+  recumbent: 1.3,
+  recurrent: 2.4,
+  recurring: 3.1,
+  recursive: 1.8,
+  recycling: 3.2,
+  redbreast: 2.1,
+  reddening: 1.3,
+  redeemers: 1.3,
+  redeeming: 2.8,
+  redefined: 2.2,
+  redefines: 1.6,
+  redevelop: 1.8,
+  redheaded: 2.9,
+  redoubled: 2.1,
+  redrafted: 1.3,
+  redrawing: 2.1,
+  redressed: 1.8,
+  reduction: 3.2,
+  redundant: 3.2,
+  reelected: 2.6,
+  reenacted: 2,
+  reenlists: 1.6,
+  reentered: 2.1,
+  reexamine: 2.5,
+  reference: 3.9,
+  referrals: 2.5,
+  referring: 3.8,
+  refilling: 2.3,
+  refinance: 1.3,
+  refitting: 2.1,
+  reflected: 3.2,
+  reflector: 2.4,
+  reflexive: 1.3,
+  refocused: 2,
+  reformers: 2.1,
+  reforming: 2.4,
+  refracted: 2,
+  refrained: 2,
+  refreshed: 2.9,
+  refresher: 2.5,
+  refreshes: 2.4,
+  refueling: 2.6,
+  refunding: 1.6,
+  refurbish: 1.9,
+  refurnish: 1.8,
+  regaining: 2.2,
+  regarding: 3.9,
+  regencies: 1.3,
+  regiments: 2.5,
+  registers: 2.8,
+  registrar: 2.7,
+  regressed: 2.4,
+  regresses: 1.8,
+  regretful: 2.5,
+  regretted: 3.1,
+  regrouped: 2.1,
+  regularly: 3.5,
+  regulated: 2.5,
+  regulates: 2.1,
+  regulator: 2.9,
+  rehabbing: 1.3,
+  rehashing: 2.1,
+  rehearsal: 4.1,
+  rehearsed: 3.1,
+  rehearses: 1.3,
+  reheating: 1.3,
+  reimburse: 2.8,
+  reinforce: 3,
+  reinstall: 1.6,
+  reinstate: 3,
+  reinvents: 1.3,
+  reiterate: 2.8,
+  rejecting: 3.1,
+  rejection: 3.5,
+  rejoicing: 2.9,
+  rejoinder: 1.6,
+  rejoining: 2,
+  rekindled: 2.2,
+  rekindles: 1.3,
+  relapsing: 1.3,
+  relations: 4,
+  relatives: 4,
+  relaxants: 1.9,
+  releasing: 3.5,
+  relegated: 2.2,
+  relenting: 1.3,
+  relevance: 3.2,
+  relevancy: 2,
+  relieving: 3.1,
+  religions: 3,
+  religious: 4.1,
+  relishing: 2,
+  reloading: 2.4,
+  relocated: 2.9,
+  relocates: 1.6,
+  reluctant: 3.4,
+  remainder: 3.2,
+  remaining: 3.8,
+  remanding: 1.3,
+  remarking: 2.3,
+  remarried: 3.2,
+  remarries: 1.9,
+  remedying: 1.3,
+  remembers: 3.9,
+  reminders: 2.6,
+  reminding: 3.5,
+  reminisce: 2.9,
+  remission: 2.9,
+  remitting: 1.9,
+  remodeled: 2.4,
+  removable: 2.1,
+  rendering: 3,
+  rendition: 2.6,
+  renegades: 2.2,
+  renewable: 2.2,
+  renounced: 2.5,
+  renounces: 1.9,
+  renovated: 2.7,
+  reopening: 2.8,
+  reordered: 1.3,
+  repackage: 1.8,
+  repainted: 2.3,
+  repairing: 2.9,
+  repairman: 3,
+  repairmen: 2.1,
+  repayment: 2.4,
+  repeaters: 2.3,
+  repeating: 3.7,
+  repellent: 2.9,
+  repelling: 2.1,
+  repentant: 2.4,
+  repenting: 2.2,
+  repertory: 2.5,
+  replacing: 3.4,
+  replaying: 1.9,
+  replenish: 2.7,
+  repletion: 1.3,
+  replicate: 2.9,
+  reportage: 2.1,
+  reporters: 3.9,
+  reporting: 4.1,
+  repossess: 2.6,
+  reprehend: 1.3,
+  represent: 4.2,
+  repressed: 3.3,
+  represses: 1.3,
+  reprieved: 2.2,
+  reprieves: 1.8,
+  reprimand: 2.7,
+  reprinted: 2.1,
+  reprisals: 2.7,
+  reprising: 1.6,
+  reprobate: 2.3,
+  reprocess: 1.6,
+  reproduce: 3.2,
+  reprogram: 2.9,
+  reproving: 1.6,
+  reptilian: 2.5,
+  republics: 2.1,
+  republish: 1.3,
+  repudiate: 2.4,
+  repugnant: 2.9,
+  repulsing: 1.3,
+  repulsion: 2.2,
+  repulsive: 3.3,
+  reputable: 2.9,
+  reputedly: 1.8,
+  requested: 3.9,
+  requester: 1.3,
+  requiring: 3,
+  requisite: 2.6,
+  rereading: 2.5,
+  rerouting: 2.4,
+  rescinded: 2.7,
+  reselling: 1.8,
+  resembled: 2.5,
+  resembles: 3.1,
+  resentful: 2.8,
+  resenting: 2.6,
+  reserving: 1.9,
+  reservist: 1.8,
+  reservoir: 3.3,
+  resetting: 2.3,
+  reshuffle: 1.9,
+  residence: 3.9,
+  residency: 3.3,
+  residents: 3.7,
+  residuals: 2.1,
+  resigning: 2.9,
+  resilient: 2.7,
+  resistant: 3,
+  resisters: 1.3,
+  resisting: 3.5,
+  resistors: 2,
+  resolving: 2.5,
+  resonance: 2.8,
+  resonated: 2.1,
+  resonates: 2.3,
+  resorting: 2.5,
+  resounded: 1.3,
+  resources: 4,
+  respected: 3.8,
+  responded: 3.4,
+  responses: 3.2,
+  restarted: 1.8,
+  restating: 1.3,
+  restocked: 2.1,
+  restoring: 3,
+  restrains: 1.8,
+  restraint: 3.4,
+  restricts: 2.1,
+  restrooms: 2.7,
+  resultant: 1.8,
+  resulting: 3.2,
+  resurface: 2.1,
+  resurrect: 2.8,
+  retailers: 2.4,
+  retailing: 1.9,
+  retainers: 1.9,
+  retaining: 2.8,
+  retaliate: 3.1,
+  retardant: 2,
+  retarding: 1.3,
+  retelling: 1.6,
+  retention: 2.4,
+  retentive: 1.8,
+  rethought: 2.1,
+  reticence: 2.1,
+  retooling: 1.9,
+  retouched: 1.8,
+  retracing: 1.6,
+  retracted: 2.4,
+  retrained: 1.8,
+  retreaded: 1.6,
+  retreated: 3,
+  retrieval: 3,
+  retrieved: 2.9,
+  retriever: 2.9,
+  retrieves: 2.1,
+  returnees: 1.8,
+  returning: 4.1,
+  reunified: 1.6,
+  reuniting: 2.4,
+  revamping: 1.6,
+  revealing: 3.4,
+  revelries: 1.3,
+  reverence: 3.1,
+  reverends: 1.9,
+  reversals: 1.9,
+  reversing: 2.7,
+  reversion: 1.9,
+  reverting: 2,
+  reviewers: 2,
+  reviewing: 3.3,
+  revisions: 2.6,
+  revisited: 2.2,
+  revocable: 1.8,
+  revolting: 3.3,
+  revolvers: 2.4,
+  revolving: 3,
+  revulsion: 2.4,
+  rewarding: 3.2,
+  rewinding: 2.4,
+  reworking: 2,
+  rewriting: 2.9,
+  rewritten: 2.6,
+  rheostats: 1.3,
+  rheumatic: 2.2,
+  rickshaws: 2,
+  ricochets: 2,
+  ridgepole: 2,
+  ridiculed: 2.9,
+  ridicules: 1.9,
+  righteous: 3.6,
+  rightists: 1.6,
+  rightness: 2.2,
+  rigmarole: 2.1,
+  ringtones: 1.6,
+  rivalries: 2,
+  riverbeds: 1.3,
+  riverside: 3.2,
+  roadblock: 3.3,
+  roadhouse: 2.9,
+  roadsides: 1.3,
+  roadsters: 1.3,
+  robberies: 3.5,
+  rocketing: 2.1,
+  roentgens: 1.3,
+  roguishly: 1.3,
+  roistered: 1.6,
+  romancing: 2.6,
+  romantics: 2.4,
+  roommates: 3.6,
+  rotations: 2.2,
+  rottenest: 2.3,
+  roughneck: 2.8,
+  roughness: 1.9,
+  roughshod: 2.4,
+  roundelay: 2.1,
+  roundness: 1.6,
+  routinely: 2.8,
+  royalists: 1.6,
+  royalties: 2.9,
+  rucksacks: 1.3,
+  ruddiness: 1.3,
+  rudiments: 1.8,
+  ruination: 2.7,
+  ruinously: 1.3,
+  rumblings: 2.3,
+  ruminates: 1.3,
+  rummaging: 2.6,
+  runaround: 2.8,
+  rusticity: 1.3,
+  rustproof: 1.3,
+  rutabagas: 1.8,
+  sabotaged: 3,
+  saboteurs: 2.5,
+  saccharin: 1.8,
+  sackcloth: 2.2,
+  sacrament: 2.7,
+  sacrifice: 4.3,
+  sacrilege: 2.8,
+  sacristan: 1.3,
+  saddlebag: 2.4,
+  safeguard: 3,
+  safflower: 1.6,
+  sagacious: 1.6,
+  sagebrush: 2.5,
+  sailboats: 2.3,
+  sailcloth: 1.6,
+  sainthood: 2.3,
+  salacious: 2.3,
+  salesgirl: 2.6,
+  salivated: 1.8,
+  salivates: 1.6,
+  saltpeter: 2.6,
+  saltwater: 2.8,
+  salvaging: 2.4,
+  salvation: 3.7,
+  samplings: 1.3,
+  sanctions: 2.8,
+  sanctuary: 3.6,
+  sandbanks: 1.3,
+  sandboxes: 1.9,
+  sandpaper: 2.6,
+  sandpiper: 2.2,
+  sandstone: 2.5,
+  sandstorm: 2.9,
+  sangfroid: 1.6,
+  sanitized: 2.2,
+  sanitizes: 1.3,
+  sapphires: 2.5,
+  sapsucker: 1.8,
+  sarcastic: 3.4,
+  sartorial: 2.1,
+  sashaying: 1.9,
+  sassafras: 2.8,
+  satellite: 4.2,
+  satinwood: 1.3,
+  satirical: 2.2,
+  satirists: 1.3,
+  satirized: 1.3,
+  satisfied: 4.2,
+  satisfies: 2.9,
+  saturated: 2.9,
+  saturates: 2,
+  saucepans: 1.6,
+  sauciness: 1.3,
+  sauntered: 2.1,
+  sawhorses: 1.8,
+  saxophone: 3.2,
+  scaffolds: 1.6,
+  scalawags: 1.6,
+  scallions: 2,
+  scalloped: 1.6,
+  scampered: 2.1,
+  scapegoat: 3,
+  scarecrow: 3.2,
+  scattered: 3.6,
+  scavenged: 1.9,
+  scavenger: 2.9,
+  scenarios: 3.2,
+  scheduled: 4,
+  scheduler: 1.3,
+  schedules: 3.4,
+  schematic: 3.1,
+  schlemiel: 2.2,
+  schlepped: 2.1,
+  schmaltzy: 1.6,
+  schmoozed: 1.3,
+  schmoozes: 1.3,
+  schnauzer: 2.3,
+  scholarly: 2.6,
+  schoolboy: 3.1,
+  schooling: 3.2,
+  schooners: 2.1,
+  schussing: 1.6,
+  scientist: 4.1,
+  scintilla: 2.1,
+  sclerosis: 2.4,
+  scofflaws: 1.6,
+  scoliosis: 2.4,
+  scorchers: 1.3,
+  scorching: 2.6,
+  scorecard: 2.2,
+  scoreless: 2.1,
+  scorpions: 3.1,
+  scoundrel: 3.5,
+  scrabbled: 1.3,
+  scrambled: 3.9,
+  scrambler: 2.7,
+  scrambles: 2.1,
+  scramming: 1.3,
+  scrapbook: 3.1,
+  scrappier: 1.3,
+  scrapping: 2.3,
+  scratched: 3.7,
+  scratches: 3.4,
+  scrawling: 1.8,
+  scrawnier: 1.6,
+  screaming: 4.6,
+  screeched: 1.8,
+  screeches: 2.8,
+  screening: 3.5,
+  screwball: 3,
+  screwiest: 1.9,
+  scribbled: 2.7,
+  scribbler: 2.1,
+  scribbles: 1.9,
+  scrimmage: 2.9,
+  scrimping: 2.1,
+  scrimshaw: 2.2,
+  scripting: 1.3,
+  scripture: 3.1,
+  scrolling: 1.8,
+  scrounged: 2.4,
+  scrounger: 2.6,
+  scrounges: 1.6,
+  scrubbers: 1.9,
+  scrubbing: 3.3,
+  scrunched: 1.9,
+  scrunches: 1.3,
+  scuffling: 2.2,
+  scullions: 1.8,
+  sculpting: 2.6,
+  sculptors: 2.2,
+  sculpture: 3.5,
+  scummiest: 1.3,
+  scuppered: 1.9,
+  scurrying: 2.5,
+  scuttling: 2.5,
+  seafarers: 1.3,
+  seafaring: 2.3,
+  seaplanes: 1.8,
+  searchers: 2.2,
+  searching: 4.2,
+  seascapes: 1.6,
+  seashells: 2.8,
+  seashores: 1.6,
+  seasoning: 2.7,
+  seaworthy: 2.3,
+  sebaceous: 2,
+  secession: 1.3,
+  seclusion: 2.8,
+  seclusive: 1.3,
+  secondary: 3.6,
+  secretary: 4.5,
+  secreting: 2,
+  secretion: 2.4,
+  secretive: 3.1,
+  sectarian: 1.6,
+  sectional: 2.4,
+  sectioned: 2,
+  sedatives: 2.8,
+  sedentary: 2.2,
+  sediments: 1.8,
+  seditious: 2.2,
+  seduction: 3,
+  seductive: 2.9,
+  seediness: 1.3,
+  seedlings: 2.4,
+  seemingly: 3.3,
+  segmented: 1.3,
+  segregate: 2.1,
+  selecting: 2.8,
+  selection: 3.7,
+  selective: 3.1,
+  selectman: 2.8,
+  selectmen: 2.2,
+  selectors: 1.6,
+  selfishly: 2.6,
+  semantics: 2.9,
+  semaphore: 2.1,
+  semblance: 2.6,
+  semesters: 2.7,
+  semicolon: 2.2,
+  semifinal: 2.4,
+  semiotics: 1.3,
+  seniority: 3,
+  sensation: 3.7,
+  senseless: 3.4,
+  sensitive: 4.4,
+  sensually: 1.8,
+  sentenced: 3.6,
+  sentences: 3.5,
+  sentience: 1.6,
+  sentiment: 3.5,
+  sentinels: 2.5,
+  separable: 1.3,
+  separated: 4,
+  separates: 3.2,
+  separator: 2,
+  sepulcher: 2,
+  sequenced: 2.1,
+  sequencer: 2.3,
+  sequences: 2.9,
+  sequester: 1.9,
+  serenaded: 1.8,
+  serenades: 1.6,
+  sergeants: 2.9,
+  serialize: 2.9,
+  seriously: 4.8,
+  servicing: 2.8,
+  servitude: 2.8,
+  seventeen: 3.8,
+  seventies: 2.8,
+  severance: 3,
+  sexuality: 3.5,
+  shabbiest: 1.3,
+  shackling: 1.3,
+  shadowing: 2.7,
+  shaggiest: 1.3,
+  shakedown: 3,
+  shallower: 1.6,
+  shambling: 1.6,
+  shameless: 3.3,
+  shampooed: 2.2,
+  shamrocks: 1.6,
+  shapeless: 2,
+  shapelier: 1.3,
+  sharkskin: 1.8,
+  sharpened: 3,
+  sharpener: 2.5,
+  sharpness: 2.4,
+  shattered: 3.6,
+  sheathing: 1.6,
+  sheepdogs: 1.9,
+  sheepfold: 1.3,
+  sheepskin: 2.4,
+  shellfish: 3,
+  sheltered: 3,
+  shepherds: 2.9,
+  shielding: 2.9,
+  shiftiest: 1.6,
+  shiftless: 2.5,
+  shillings: 3.2,
+  shimmered: 1.6,
+  shimmying: 2.2,
+  shinbones: 1.3,
+  shingling: 1.3,
+  shipboard: 2.3,
+  shiploads: 1.3,
+  shipmates: 2.8,
+  shipments: 2.9,
+  shipshape: 2.8,
+  shipwreck: 2.7,
+  shipyards: 2.5,
+  shirttail: 2.5,
+  shittiest: 1.9,
+  shivering: 3.2,
+  shoddiest: 1.6,
+  shoehorns: 1.8,
+  shoelaces: 3,
+  shoemaker: 2.8,
+  shoeshine: 2.8,
+  shootings: 2.9,
+  shootouts: 1.6,
+  shoreline: 2.7,
+  shortages: 2.7,
+  shortcake: 2.7,
+  shortcuts: 2.9,
+  shortened: 2.7,
+  shortfall: 1.9,
+  shorthand: 3,
+  shorthorn: 1.3,
+  shortlist: 1.3,
+  shortness: 2.9,
+  shortstop: 2.9,
+  shortwave: 2.6,
+  shoulders: 4.1,
+  shovelful: 1.9,
+  shoveling: 2.9,
+  showboats: 1.3,
+  showcased: 1.9,
+  showcases: 1.6,
+  showdowns: 1.3,
+  showering: 3,
+  showgirls: 2.8,
+  showpiece: 1.9,
+  showplace: 1.6,
+  showrooms: 2,
+  shredders: 1.8,
+  shredding: 2.8,
+  shrieking: 2.9,
+  shrillest: 1.3,
+  shrilling: 1.3,
+  shrimping: 2.6,
+  shrinkage: 2.4,
+  shrinking: 3.2,
+  shriveled: 2.5,
+  shrubbery: 2.5,
+  shrugging: 2.1,
+  shuddered: 2,
+  shuffling: 2.8,
+  shuttered: 1.6,
+  shuttling: 1.8,
+  sibilants: 1.6,
+  sickening: 3,
+  sideboard: 2.4,
+  sideburns: 3.1,
+  sidekicks: 2.7,
+  sidelined: 2.2,
+  sidelines: 3,
+  sideshows: 1.3,
+  sideswipe: 1.6,
+  sidetrack: 1.8,
+  sidewalks: 2.7,
+  sidewalls: 1.9,
+  sightings: 3.1,
+  sightless: 2.1,
+  sightseer: 1.3,
+  signaling: 3,
+  signatory: 2,
+  signature: 4.1,
+  signboard: 1.9,
+  signified: 1.8,
+  signifies: 2.7,
+  signposts: 1.9,
+  silencers: 1.9,
+  silencing: 2.2,
+  silicates: 1.8,
+  silliness: 2.6,
+  similarly: 2.8,
+  simmering: 2.3,
+  simpatico: 2.6,
+  simpering: 2.4,
+  simpleton: 2.8,
+  simulated: 3,
+  simulates: 2.2,
+  simulator: 2.9,
+  sincerely: 3.7,
+  sincerest: 2.7,
+  sincerity: 3.3,
+  singleton: 2.4,
+  singulars: 1.3,
+  sinkholes: 1.9,
+  sinusitis: 2,
+  siphoning: 2.5,
+  situation: 4.9,
+  sixteenth: 2.9,
+  skedaddle: 2.7,
+  skeletons: 3.2,
+  skeptical: 3.2,
+  sketching: 2.7,
+  skewering: 2,
+  skimpiest: 1.6,
+  skinflint: 2.2,
+  skinheads: 2.9,
+  skinniest: 1.3,
+  skintight: 2.2,
+  skippered: 1.3,
+  skullcaps: 1.3,
+  skydivers: 1.6,
+  skydiving: 2.9,
+  skylights: 2.3,
+  skyrocket: 2.5,
+  skywriter: 1.3,
+  slackened: 1.6,
+  slackness: 1.6,
+  slaloming: 1.6,
+  slandered: 2.4,
+  slanderer: 1.3,
+  slaphappy: 2,
+  slapstick: 2.4,
+  slathered: 2.1,
+  slaughter: 3.7,
+  slavering: 2,
+  slavishly: 1.6,
+  sleaziest: 2,
+  sleepless: 3.1,
+  sleepwalk: 2.4,
+  sleepwear: 1.3,
+  sleighing: 1.6,
+  slideshow: 1.8,
+  slightest: 3.8,
+  slingshot: 3.1,
+  slinkiest: 1.3,
+  slipcover: 1.6,
+  slipknots: 1.3,
+  slithered: 2.2,
+  slobbered: 2.1,
+  sloppiest: 2,
+  slouching: 2.4,
+  sloughing: 2,
+  slowdowns: 1.3,
+  slowpokes: 1.8,
+  sluggards: 1.3,
+  slumbered: 1.6,
+  slumlords: 1.8,
+  smallness: 1.6,
+  smartened: 1.8,
+  smartness: 2,
+  smelliest: 1.3,
+  smilingly: 2,
+  smokeless: 1.9,
+  smoldered: 1.6,
+  smooching: 2.5,
+  smoothest: 2.3,
+  smoothies: 2.5,
+  smoothing: 2.2,
+  smothered: 3.1,
+  smugglers: 3,
+  smuggling: 3.5,
+  snakebite: 2.5,
+  snappiest: 1.8,
+  snapshots: 3,
+  snatching: 3,
+  sneakiest: 1.8,
+  snickered: 1.3,
+  sniffling: 2.8,
+  snitching: 2.6,
+  sniveling: 3,
+  snobbiest: 1.3,
+  snootiest: 1.6,
+  snorkeled: 1.8,
+  snorkeler: 1.6,
+  snowballs: 2.5,
+  snowboard: 2.9,
+  snowbound: 2.1,
+  snowdrift: 2.2,
+  snowfalls: 1.3,
+  snowflake: 3.1,
+  snowplows: 1.9,
+  snowshoes: 2.6,
+  snowstorm: 2.9,
+  snuffling: 1.3,
+  snuggling: 2.5,
+  soapstone: 1.6,
+  soberness: 1.3,
+  sobriquet: 1.3,
+  sociables: 1.8,
+  socialism: 2.8,
+  socialist: 3.1,
+  socialite: 2.6,
+  socialize: 3,
+  societies: 3,
+  sociology: 2.6,
+  sociopath: 3,
+  sodomites: 2.1,
+  softballs: 1.3,
+  softening: 2.7,
+  soldering: 2.6,
+  soldiered: 1.8,
+  soldierly: 2,
+  solemnity: 1.8,
+  solemnize: 1.3,
+  solenoids: 1.8,
+  solicited: 2.5,
+  solicitor: 2.9,
+  soliloquy: 2.5,
+  solitaire: 3.1,
+  solutions: 3.2,
+  sombreros: 1.8,
+  someplace: 4.5,
+  something: 6.2,
+  sometimes: 5.3,
+  somewhere: 5,
+  somnolent: 1.3,
+  songbirds: 2.2,
+  songsters: 1.3,
+  sophistry: 1.8,
+  sophomore: 3.5,
+  soporific: 2.2,
+  sorcerers: 2.6,
+  sorceress: 2.5,
+  sorrowful: 2.6,
+  sorrowing: 1.8,
+  soulfully: 1.6,
+  soulmates: 1.6,
+  soundings: 2.1,
+  soundless: 1.3,
+  soundness: 1.6,
+  sourdough: 2.5,
+  southeast: 3.5,
+  southerly: 2.1,
+  southpaws: 1.8,
+  southward: 2.4,
+  southwest: 3.5,
+  souvenirs: 3.4,
+  sovereign: 3.4,
+  spaceship: 3.6,
+  spacesuit: 2.1,
+  spadework: 1.8,
+  spaghetti: 3.8,
+  spankings: 2.3,
+  spareness: 1.3,
+  spareribs: 2.6,
+  sparingly: 2.1,
+  sparklers: 2.5,
+  sparkling: 3.3,
+  spasmodic: 1.8,
+  spatially: 1.6,
+  spattered: 2.3,
+  speakeasy: 2.8,
+  spearhead: 2.5,
+  spearmint: 2.1,
+  specially: 3.5,
+  specialty: 3.7,
+  specifics: 3.3,
+  specified: 2.9,
+  specifies: 2.2,
+  specimens: 3.3,
+  spectacle: 3.4,
+  spectator: 3,
+  speculate: 3.1,
+  speedboat: 2.7,
+  speediest: 1.6,
+  speedster: 2.2,
+  spellings: 1.6,
+  spherical: 2.2,
+  spheroids: 1.3,
+  sphincter: 3,
+  spillages: 1.3,
+  spindling: 1.3,
+  spineless: 2.9,
+  spinnaker: 2.3,
+  spinsters: 2.1,
+  spiraling: 2.4,
+  spiriting: 1.8,
+  spiritual: 3.9,
+  spitballs: 2.1,
+  spitfires: 1.6,
+  spittoons: 2.2,
+  splashing: 3,
+  splatters: 1.6,
+  splinters: 2.9,
+  splinting: 1.6,
+  splitting: 3.6,
+  splotched: 1.3,
+  splotches: 1.6,
+  splurging: 1.9,
+  splutters: 2.4,
+  spokesman: 3.1,
+  spokesmen: 2.3,
+  sponsored: 3.3,
+  spoonbill: 1.3,
+  spoonfuls: 2,
+  sportiest: 1.3,
+  sportsman: 2.8,
+  sportsmen: 2.4,
+  spotlight: 3.5,
+  spottiest: 1.3,
+  sprawling: 2.1,
+  spreaders: 1.6,
+  spreading: 3.8,
+  sprightly: 2.1,
+  springing: 2.9,
+  sprinkled: 2.7,
+  sprinkler: 3,
+  sprinkles: 3,
+  sprinters: 2.3,
+  sprinting: 2.2,
+  spritzing: 1.3,
+  sprockets: 2.7,
+  sprouting: 2.4,
+  squabbles: 2.2,
+  squadrons: 2.8,
+  squalling: 2.1,
+  squanders: 1.3,
+  squashing: 2.5,
+  squatters: 2.7,
+  squatting: 2.9,
+  squawking: 3.2,
+  squeaking: 3.2,
+  squealers: 2.1,
+  squealing: 3.4,
+  squeamish: 2.9,
+  squeezers: 1.3,
+  squeezing: 3.3,
+  squelched: 1.6,
+  squelches: 1.3,
+  squiggles: 1.9,
+  squinting: 2.4,
+  squirming: 2.8,
+  squirrels: 3.3,
+  squirting: 2.7,
+  squishier: 1.3,
+  squishing: 2.5,
+  stabbings: 2,
+  stability: 3.2,
+  stabilize: 3.2,
+  stagehand: 2.7,
+  staggered: 2.7,
+  stagnated: 1.3,
+  stagnates: 1.6,
+  stainless: 2.9,
+  staircase: 3.2,
+  stairways: 1.9,
+  stairwell: 3.3,
+  stakeouts: 2.5,
+  stalemate: 2.7,
+  staleness: 1.3,
+  stallions: 2.7,
+  stammered: 2.1,
+  stampeded: 2.4,
+  stampedes: 1.6,
+  stanchion: 1.6,
+  standards: 3.9,
+  standings: 2.4,
+  standoffs: 1.3,
+  standouts: 1.3,
+  starboard: 3.8,
+  stargazer: 1.6,
+  starlight: 3.2,
+  starlings: 1.9,
+  startling: 3.1,
+  statehood: 2.5,
+  stateless: 2.1,
+  statement: 4.5,
+  stateroom: 2.9,
+  stateside: 3.1,
+  statesman: 2.8,
+  statesmen: 2.4,
+  statewide: 2.5,
+  stationed: 3.5,
+  statistic: 2.8,
+  statuette: 1.9,
+  statutory: 3,
+  staunched: 1.3,
+  staunchly: 2,
+  steadfast: 2.6,
+  steadying: 1.9,
+  steamboat: 2.7,
+  steamroll: 1.9,
+  steamship: 2.7,
+  stenciled: 2,
+  stepchild: 2.1,
+  sterility: 2.2,
+  sterilize: 2.7,
+  sternness: 1.3,
+  stevedore: 1.6,
+  stickiest: 1.3,
+  sticklers: 2.1,
+  stickpins: 1.8,
+  stiffened: 2.1,
+  stiffener: 1.9,
+  stiffness: 2.2,
+  stilettos: 2.4,
+  stillborn: 2.5,
+  stillness: 2.6,
+  stimulant: 2.7,
+  stimulate: 3.1,
+  stingrays: 1.8,
+  stippling: 2.4,
+  stipulate: 2.8,
+  stirrings: 2,
+  stitching: 2.8,
+  stockades: 1.6,
+  stockings: 3.6,
+  stockpile: 2.6,
+  stockroom: 2.7,
+  stockyard: 2.3,
+  stoically: 1.3,
+  stomached: 1.3,
+  stonewall: 2.9,
+  stoneware: 1.6,
+  stonework: 1.3,
+  stoplight: 2.5,
+  stopovers: 1.6,
+  stoppages: 1.3,
+  stoppered: 1.6,
+  stopwatch: 2.9,
+  storeroom: 3.2,
+  storybook: 2.7,
+  stoutness: 1.3,
+  stovepipe: 2.2,
+  stowaways: 2.7,
+  straddled: 2.2,
+  straddles: 1.6,
+  straggled: 1.6,
+  straggler: 2.4,
+  straights: 2.7,
+  straining: 2.9,
+  stranding: 1.6,
+  strangely: 3.7,
+  strangers: 4.2,
+  strangest: 3.5,
+  strangled: 3.7,
+  strangler: 3.3,
+  strangles: 2.5,
+  strapless: 2.6,
+  strapping: 3,
+  stratagem: 2.3,
+  strategic: 3.4,
+  streaking: 2.8,
+  streamers: 2.6,
+  streaming: 3,
+  streetcar: 3.1,
+  strengths: 3,
+  strenuous: 2.8,
+  stressful: 3.4,
+  stressing: 2.9,
+  stretched: 3.4,
+  stretcher: 3.3,
+  stretches: 3,
+  strictest: 2.8,
+  stricture: 1.6,
+  strikeout: 2.6,
+  stringent: 2.1,
+  stringing: 2.7,
+  stripling: 1.3,
+  strippers: 3.5,
+  stripping: 3.2,
+  strollers: 2,
+  strolling: 3.1,
+  strongbox: 2.5,
+  strongest: 3.7,
+  strontium: 1.8,
+  stropping: 1.3,
+  structure: 4,
+  struggled: 3.3,
+  struggles: 3,
+  strumming: 2.3,
+  strumpets: 1.9,
+  strutting: 2.8,
+  stuccoing: 1.6,
+  stuffings: 1.8,
+  stumbling: 3,
+  stupefied: 1.6,
+  stupidest: 3.4,
+  stupidity: 3.5,
+  sturdiest: 1.6,
+  sturgeons: 2,
+  stuttered: 2.3,
+  stutterer: 1.3,
+  stylishly: 1.9,
+  stylistic: 1.3,
+  subatomic: 3,
+  subdivide: 1.9,
+  subgroups: 1.9,
+  subhumans: 1.8,
+  subjected: 3.2,
+  subjugate: 1.3,
+  subleased: 1.3,
+  sublimate: 2,
+  sublimely: 1.9,
+  sublimity: 1.8,
+  submarine: 3.9,
+  submerged: 2.9,
+  submerges: 1.6,
+  submitted: 3.3,
+  submitter: 1.3,
+  subnormal: 1.6,
+  suborning: 1.9,
+  subpoenas: 2.4,
+  subscribe: 2.9,
+  subsidies: 2.4,
+  subsiding: 2,
+  subsidize: 2.5,
+  substance: 3.9,
+  substrata: 1.6,
+  substrate: 1.6,
+  subsystem: 2.1,
+  subtitled: 2.9,
+  subtitles: 4.4,
+  subverted: 1.8,
+  succeeded: 3.6,
+  successes: 2.9,
+  successor: 3.2,
+  succotash: 2.5,
+  succulent: 2.7,
+  succumbed: 2.8,
+  suckering: 1.3,
+  suctioned: 1.3,
+  sufferers: 2.4,
+  suffering: 4.3,
+  sufficing: 1.3,
+  suffocate: 3.2,
+  sugarcane: 2.1,
+  sugarcoat: 2.5,
+  sugarless: 2.2,
+  suggested: 4,
+  suitcases: 3.3,
+  sultanate: 1.3,
+  summaries: 2.1,
+  summarily: 2.3,
+  summarize: 2.6,
+  summation: 2.8,
+  summering: 1.8,
+  summoning: 2.8,
+  summonses: 2,
+  sumptuous: 2.5,
+  sunbather: 1.3,
+  sunbathes: 1.6,
+  sunburned: 2.6,
+  sunflower: 2.8,
+  sunscreen: 3,
+  sunstroke: 2.5,
+  suntanned: 2.1,
+  superiors: 3.4,
+  supernova: 2.6,
+  supersede: 2.2,
+  supersize: 2,
+  superstar: 3.5,
+  supervise: 3.3,
+  supplants: 1.3,
+  suppliers: 2.9,
+  supplying: 2.9,
+  supported: 3.6,
+  supporter: 2.9,
+  supposing: 3.5,
+  suppurate: 1.3,
+  supremacy: 2.8,
+  supremely: 2.6,
+  surcharge: 2.3,
+  surfacing: 2.5,
+  surfboard: 3,
+  surfeited: 1.3,
+  surgeries: 2.9,
+  surliness: 1.6,
+  surpassed: 3.1,
+  surpasses: 2.5,
+  surplices: 1.3,
+  surpluses: 1.8,
+  surprised: 4.7,
+  surprises: 4,
+  surrender: 4.2,
+  surrogate: 3.3,
+  surrounds: 2.9,
+  surveying: 2.5,
+  surveyors: 2.3,
+  survivals: 1.6,
+  surviving: 3.6,
+  survivors: 3.8,
+  suspected: 4,
+  suspended: 3.9,
+  suspender: 1.6,
+  suspicion: 3.9,
+  sustained: 3.9,
+  swaddling: 2.3,
+  swaggered: 1.3,
+  swallowed: 3.8,
+  swankiest: 2,
+  swastikas: 1.8,
+  sweatiest: 1.8,
+  sweatshop: 2.7,
+  sweepings: 2.1,
+  sweetened: 2.5,
+  sweetener: 2.4,
+  sweetness: 3.5,
+  swellhead: 1.3,
+  swellings: 2,
+  sweltered: 1.3,
+  swiftness: 1.9,
+  swimsuits: 2.6,
+  swindlers: 2.1,
+  swindling: 2.4,
+  switching: 3.6,
+  swiveling: 2.2,
+  swordfish: 3,
+  swordplay: 2.7,
+  swordsman: 3.1,
+  swordsmen: 2.4,
+  sycamores: 1.3,
+  sycophant: 2.1,
+  syllables: 2.9,
+  syllogism: 2.1,
+  symbiosis: 2.3,
+  symbiotic: 2.6,
+  symbolism: 2.9,
+  symbolize: 2.6,
+  symmetric: 2,
+  symphonic: 2.6,
+  symposium: 2.8,
+  synagogue: 3,
+  syncopate: 1.3,
+  syndicate: 3.3,
+  syndromes: 2,
+  synthesis: 2.5,
+  synthetic: 3.4,
+  tableware: 1.6,
+  tackiness: 1.3,
+  tactfully: 1.9,
+  tactician: 2.2,
+  tailcoats: 1.6,
+  tailgated: 1.8,
+  tailgates: 1.3,
+  taillight: 2.9,
+  tailoring: 2.5,
+  tailpipes: 1.3,
+  tailwinds: 2.2,
+  takeovers: 2.1,
+  talismans: 2.5,
+  talkative: 3,
+  tampering: 3.1,
+  tangerine: 2.9,
+  tanneries: 1.6,
+  tantalize: 1.9,
+  tapeworms: 1.6,
+  tarantula: 3,
+  tardiness: 2.6,
+  targeting: 3.3,
+  tarmacked: 1.3,
+  tarnished: 2.6,
+  tarpaulin: 2,
+  tasteless: 2.9,
+  tattooing: 2.5,
+  tattooist: 1.3,
+  tautology: 1.6,
+  taxidermy: 2.2,
+  taxonomic: 1.3,
+  taxpayers: 3.2,
+  teachable: 1.6,
+  teachings: 3.2,
+  teakettle: 2.1,
+  tealights: 1.3,
+  teammates: 3.2,
+  teamsters: 2.7,
+  teardrops: 2.8,
+  tearfully: 2.1,
+  teaspoons: 2.5,
+  technical: 3.9,
+  technique: 4,
+  tectonics: 1.9,
+  tediously: 1.9,
+  teenagers: 3.6,
+  teetering: 2.1,
+  telecasts: 1.3,
+  telegrams: 3.1,
+  telegraph: 3.5,
+  telemetry: 2.8,
+  telepathy: 3,
+  telephone: 4.5,
+  telephoto: 2.5,
+  telescope: 3.5,
+  telethons: 1.6,
+  televised: 2.9,
+  telltales: 1.3,
+  temperate: 2.4,
+  tempering: 1.6,
+  templates: 2.5,
+  temporary: 4.1,
+  temporize: 1.3,
+  temptress: 2.7,
+  tenacious: 2.7,
+  tenderest: 1.9,
+  tendering: 2.1,
+  tenderize: 2.1,
+  tenements: 2.4,
+  tenseness: 1.8,
+  tentacles: 3,
+  tentative: 2.7,
+  tenuously: 1.6,
+  terabytes: 1.3,
+  termagant: 1.3,
+  terminals: 2.7,
+  terminate: 3.4,
+  terrarium: 2.3,
+  terrified: 4,
+  terrifies: 2.5,
+  territory: 4.2,
+  terrorism: 3.6,
+  terrorist: 4.1,
+  terrorize: 2.7,
+  terseness: 1.6,
+  testament: 3.4,
+  testicles: 3.4,
+  testified: 3.6,
+  testifies: 2.8,
+  testimony: 4.2,
+  testiness: 1.3,
+  tethering: 1.3,
+  textbooks: 2.9,
+  thankless: 2.6,
+  thatching: 1.3,
+  theocracy: 1.6,
+  theoretic: 1.3,
+  theorists: 2.1,
+  theorized: 1.8,
+  theorizes: 1.3,
+  theosophy: 1.8,
+  therapies: 2.5,
+  therapist: 4,
+  therefore: 4.3,
+  therefrom: 1.3,
+  thereupon: 1.8,
+  therewith: 1.6,
+  thermally: 1.3,
+  thermoses: 1.6,
+  thesaurus: 2.6,
+  thespians: 2.2,
+  thickened: 2,
+  thickener: 1.6,
+  thickness: 2.7,
+  thighbone: 1.6,
+  thirstier: 1.6,
+  thirsting: 1.9,
+  thirtieth: 1.9,
+  thousands: 4.4,
+  thrashers: 1.6,
+  thrashing: 2.8,
+  threading: 2,
+  threatens: 3.3,
+  threefold: 2,
+  threesome: 3.3,
+  threshing: 1.8,
+  threshold: 3.4,
+  thrillers: 2.4,
+  thrilling: 3.5,
+  throbbing: 3.1,
+  thronging: 1.3,
+  throttled: 1.8,
+  throttles: 2.2,
+  throwaway: 2.2,
+  throwback: 2.7,
+  thrumming: 2.1,
+  thrusting: 2.5,
+  thumbnail: 2.1,
+  thumbtack: 2.2,
+  thundered: 2.2,
+  thwacking: 1.3,
+  thwarting: 2.1,
+  ticketing: 1.6,
+  tidewater: 2.2,
+  tightened: 2.7,
+  tightness: 2.1,
+  tightrope: 2.7,
+  tigresses: 1.3,
+  timepiece: 2.4,
+  timestamp: 1.3,
+  timetable: 3.2,
+  tinderbox: 1.6,
+  tinkering: 2.7,
+  tiptoeing: 2.4,
+  tiredness: 1.6,
+  titillate: 2.2,
+  tittering: 1.6,
+  toadstool: 2.5,
+  toboggans: 1.6,
+  tolerable: 2.7,
+  tolerably: 2,
+  tolerance: 3.4,
+  tolerated: 3.2,
+  tolerates: 2.5,
+  tollbooth: 2.3,
+  tomahawks: 1.9,
+  tombstone: 3.3,
+  tomorrows: 2.8,
+  tonsorial: 1.6,
+  toolboxes: 1.9,
+  toothache: 3.1,
+  toothless: 2.7,
+  toothpick: 3,
+  toothsome: 1.6,
+  toreadors: 1.6,
+  tormented: 3,
+  tormentor: 1.8,
+  tornadoes: 2.6,
+  torpedoed: 2.7,
+  torpedoes: 3.5,
+  torpidity: 1.6,
+  tortillas: 2.8,
+  tortoises: 2.2,
+  torturers: 1.8,
+  torturing: 3.5,
+  tottering: 1.3,
+  touchdown: 3.7,
+  touchiest: 1.3,
+  toughened: 1.8,
+  toughness: 2.4,
+  towheaded: 1.8,
+  townhouse: 2.9,
+  townsfolk: 2.6,
+  townships: 2,
+  traceable: 2.7,
+  tractable: 1.3,
+  trademark: 3.2,
+  tradesman: 2.1,
+  tradesmen: 2,
+  tradition: 4.1,
+  tragedian: 1.6,
+  tragedies: 3,
+  traipsing: 2.7,
+  trampling: 2.5,
+  transcend: 2.7,
+  transfers: 3.1,
+  transform: 3.3,
+  transfuse: 2.5,
+  transient: 3,
+  transited: 1.8,
+  translate: 3.7,
+  transmits: 2.6,
+  transmute: 1.8,
+  transpire: 2,
+  transport: 4,
+  transpose: 1.9,
+  trapdoors: 1.3,
+  trapezoid: 1.8,
+  trappings: 2.6,
+  trashcans: 1.6,
+  traumatic: 3.4,
+  travelers: 3.3,
+  traveling: 4.2,
+  traversed: 1.6,
+  traverses: 1.6,
+  treachery: 3.3,
+  treadmill: 2.9,
+  treasured: 2.8,
+  treasurer: 3,
+  treasures: 3.4,
+  treatable: 2.8,
+  treatises: 1.3,
+  treatment: 4.3,
+  trellises: 1.3,
+  trembling: 3.4,
+  tremulous: 2,
+  trenchant: 1.6,
+  trendiest: 1.6,
+  triangles: 2.6,
+  triathlon: 2.6,
+  tribesman: 1.8,
+  tribesmen: 2.4,
+  tribunals: 2.1,
+  tributary: 2.5,
+  trickiest: 2.1,
+  trickling: 2.5,
+  trickster: 2.6,
+  tricycles: 1.3,
+  triggered: 3.4,
+  trillions: 2.7,
+  trimester: 2.9,
+  trimmings: 2.8,
+  triptychs: 1.3,
+  triumphal: 1.9,
+  triumphed: 2.5,
+  trivially: 1.3,
+  trombones: 2.2,
+  troopship: 1.3,
+  troubling: 3.4,
+  trouncing: 1.8,
+  trousseau: 2.6,
+  truckload: 3,
+  truculent: 1.9,
+  trumpeted: 1.8,
+  trumpeter: 2.3,
+  truncated: 1.6,
+  truncheon: 2.4,
+  trundling: 1.9,
+  tunneling: 2.3,
+  turboprop: 1.3,
+  turbulent: 2.8,
+  turnabout: 2.3,
+  turncoats: 1.6,
+  turnovers: 2.2,
+  turnstile: 2.6,
+  turntable: 2.5,
+  turpitude: 2.4,
+  turquoise: 2.9,
+  tutorials: 2,
+  twentieth: 2.8,
+  twiddling: 2.4,
+  twinkling: 2.7,
+  twitching: 3,
+  typewrite: 1.3,
+  typically: 3.4,
+  tyrannies: 1.9,
+  tyrannous: 1.3,
+  ulcerated: 2,
+  ultimatum: 3.1,
+  umbilical: 3.1,
+  umbilicus: 2,
+  umbrellas: 3,
+  umpteenth: 2.2,
+  unabashed: 1.9,
+  unadorned: 2.1,
+  unadvised: 1.6,
+  unaltered: 2.1,
+  unanimity: 1.6,
+  unanimous: 3.3,
+  unashamed: 2.1,
+  unbending: 1.8,
+  unblocked: 1.8,
+  unbounded: 2.1,
+  unbridled: 2.8,
+  unbuckled: 2.4,
+  unbuttons: 1.3,
+  uncannily: 1.9,
+  unceasing: 2.2,
+  uncertain: 3.4,
+  unchanged: 2.8,
+  uncharted: 3.1,
+  unchecked: 2.6,
+  unclaimed: 2.6,
+  unclasped: 1.3,
+  uncorking: 1.6,
+  uncounted: 1.9,
+  uncoupled: 1.8,
+  uncovered: 3.4,
+  undamaged: 2.5,
+  undaunted: 2.4,
+  undecided: 2.5,
+  undefined: 2.3,
+  underarms: 2,
+  undercoat: 1.3,
+  undercuts: 1.3,
+  underdogs: 2.3,
+  underdone: 2,
+  underfoot: 2.5,
+  undergoes: 2.3,
+  undergone: 2.8,
+  undergrad: 2.5,
+  underhand: 2.5,
+  underlies: 1.6,
+  underline: 2.5,
+  underling: 2.2,
+  undermine: 3.2,
+  underpaid: 2.7,
+  underpass: 2.4,
+  underplay: 1.3,
+  underrate: 2.3,
+  undersell: 1.6,
+  underside: 2.4,
+  undersold: 1.9,
+  undertake: 3,
+  undertone: 1.3,
+  undertook: 2.3,
+  underused: 1.3,
+  underwear: 4.3,
+  underwent: 2.6,
+  undiluted: 2.2,
+  undivided: 3,
+  undoubted: 1.6,
+  undressed: 3.4,
+  undresses: 1.8,
+  undulated: 1.3,
+  unearthed: 2.7,
+  unearthly: 2.5,
+  unequaled: 1.9,
+  unethical: 3.2,
+  unfailing: 2.2,
+  unfeeling: 2.8,
+  unfitting: 1.3,
+  unfolding: 2.7,
+  unfounded: 2.8,
+  unfrocked: 1.3,
+  unfurling: 1.3,
+  unguarded: 2.8,
+  unhappier: 1.9,
+  unhappily: 2.8,
+  unhealthy: 3.2,
+  unhelpful: 2.2,
+  unhinging: 1.3,
+  unhitched: 1.6,
+  unhooking: 1.8,
+  uniformed: 2.8,
+  uniformly: 2.1,
+  uninjured: 2,
+  uninsured: 2.5,
+  uninvited: 3.1,
+  unionizes: 1.3,
+  universal: 3.8,
+  universes: 2.7,
+  unkindest: 1.6,
+  unknowing: 2.4,
+  unlatched: 1.9,
+  unleashed: 3,
+  unleashes: 2.4,
+  unlimited: 3.4,
+  unloading: 3.2,
+  unlocking: 2.8,
+  unluckier: 1.3,
+  unluckily: 1.9,
+  unmarried: 3.3,
+  unmasking: 1.9,
+  unmatched: 2.1,
+  unnatural: 3.4,
+  unnerving: 2.5,
+  unnoticed: 3.1,
+  unopposed: 2.3,
+  unpacking: 3,
+  unpainted: 2.1,
+  unplanned: 2.2,
+  unplugged: 2.9,
+  unpopular: 3.1,
+  unraveled: 2.4,
+  unrefined: 2.4,
+  unrelated: 3,
+  unrivaled: 2,
+  unrolling: 1.6,
+  unruffled: 1.6,
+  unsaddled: 1.6,
+  unscathed: 2.6,
+  unscrewed: 2.2,
+  unsealing: 1.6,
+  unselfish: 2.9,
+  unsettled: 2.8,
+  unsettles: 1.3,
+  unsheathe: 1.3,
+  unsightly: 2.6,
+  unskilled: 1.8,
+  unsmiling: 2.1,
+  unsnapped: 1.6,
+  unsparing: 1.3,
+  unspoiled: 2.6,
+  unstopped: 1.3,
+  unstudied: 1.3,
+  untainted: 2,
+  untangled: 1.8,
+  untangles: 1.3,
+  untenable: 2.3,
+  untouched: 3,
+  untrained: 2.6,
+  untreated: 2.2,
+  untutored: 2,
+  untwisted: 1.3,
+  unusually: 3.3,
+  unveiling: 3,
+  unwelcome: 2.9,
+  unwilling: 3.1,
+  unwinding: 2.1,
+  unwitting: 2.4,
+  unworldly: 1.6,
+  unwrapped: 2.6,
+  unwritten: 2.8,
+  unzipping: 1.9,
+  upchucked: 1.3,
+  upcountry: 2.1,
+  upgrading: 2.4,
+  upheavals: 1.6,
+  upholding: 2.4,
+  uplifting: 2.8,
+  uppercuts: 1.9,
+  uppermost: 2,
+  uprisings: 2.1,
+  uprooting: 2.2,
+  upsetting: 3.6,
+  upstaging: 1.9,
+  urinating: 2.8,
+  urination: 2.7,
+  urologist: 2.5,
+  uselessly: 2.1,
+  usernames: 1.3,
+  utilities: 2.9,
+  utilizing: 2.5,
+  utterance: 2.3,
+  uttermost: 1.8,
+  vacancies: 2.9,
+  vacations: 3.3,
+  vaccinate: 2.1,
+  vacillate: 1.3,
+  vacuuming: 2.8,
+  vagabonds: 2.2,
+  vagueness: 2.1,
+  vainglory: 1.3,
+  valentine: 4.2,
+  valiantly: 2.5,
+  validated: 2.4,
+  validates: 2,
+  valuables: 3.1,
+  valuation: 1.9,
+  valueless: 1.3,
+  vamoosing: 1.9,
+  vandalism: 3.2,
+  vandalize: 2.1,
+  vanishing: 3,
+  vaporized: 2.7,
+  vaporizer: 2,
+  vaporizes: 1.8,
+  variables: 3,
+  variances: 1.9,
+  variation: 3.1,
+  varieties: 2.8,
+  variously: 1.8,
+  varnished: 2,
+  varnishes: 1.3,
+  vasectomy: 3,
+  vectoring: 2.1,
+  vegetable: 3.8,
+  vegetated: 1.6,
+  vehicular: 2.5,
+  velveteen: 1.9,
+  vendettas: 2.3,
+  venerable: 2.4,
+  venerated: 2.2,
+  vengeance: 3.7,
+  ventilate: 2.6,
+  ventricle: 2.8,
+  venturing: 2.2,
+  verbalize: 1.8,
+  verdigris: 1.6,
+  verifying: 2.6,
+  veritable: 3,
+  veritably: 1.3,
+  vermilion: 2.2,
+  verminous: 1.3,
+  versatile: 3,
+  vertebrae: 3.2,
+  vertebral: 2.1,
+  verticals: 1.3,
+  vestibule: 2.6,
+  vestigial: 2.4,
+  vestments: 2,
+  vexations: 1.3,
+  vexatious: 1.6,
+  viability: 2.2,
+  vibrantly: 1.3,
+  vibrating: 3.1,
+  vibration: 3.2,
+  vibrators: 2.3,
+  vicarious: 2.4,
+  viciously: 2.7,
+  victimize: 2.2,
+  victories: 3.1,
+  videotape: 3.7,
+  viewpoint: 3,
+  vigilance: 2.7,
+  vigilante: 3.2,
+  vignettes: 1.6,
+  villagers: 3.4,
+  vindicate: 2.1,
+  vineyards: 2.8,
+  violating: 3.3,
+  violation: 3.9,
+  violators: 2.3,
+  violently: 3.3,
+  violinist: 2.8,
+  virginity: 3.6,
+  virtually: 3.6,
+  viscosity: 2.1,
+  viscounts: 1.3,
+  visionary: 3.1,
+  visualize: 3.2,
+  vitriolic: 1.9,
+  vivacious: 2.4,
+  vividness: 1.6,
+  vivifying: 1.3,
+  vocalists: 1.6,
+  vocations: 1.3,
+  voiceless: 1.8,
+  voicemail: 3,
+  volcanoes: 3,
+  voltmeter: 1.3,
+  voluntary: 3.3,
+  volunteer: 4,
+  voodooism: 1.6,
+  voracious: 2.5,
+  vouchsafe: 2,
+  voyeurism: 2.3,
+  vulcanize: 1.6,
+  vulgarest: 1.6,
+  vulgarism: 1.6,
+  vulgarity: 2.5,
+  wackiness: 1.6,
+  waistband: 2.3,
+  waistcoat: 2.5,
+  waistline: 2.7,
+  wallboard: 1.3,
+  walloping: 2.2,
+  wallowing: 2.9,
+  wallpaper: 3.5,
+  wanderers: 2.3,
+  wandering: 3.9,
+  wardrobes: 1.6,
+  warehouse: 4,
+  warhorses: 2,
+  warmonger: 2.1,
+  warranted: 2.6,
+  washbasin: 1.3,
+  washboard: 2.1,
+  washcloth: 2.6,
+  washrooms: 1.9,
+  washstand: 1.6,
+  wasteland: 3,
+  watchband: 2.1,
+  watchdogs: 2.5,
+  watchword: 2.1,
+  waterbeds: 1.8,
+  waterfall: 3.3,
+  waterfowl: 1.3,
+  waterline: 1.9,
+  watermark: 2.4,
+  watershed: 2.1,
+  waterways: 2.3,
+  wayfarers: 2,
+  wayfaring: 1.3,
+  waylaying: 1.8,
+  weakening: 2.9,
+  weaklings: 2.3,
+  wealthier: 2.2,
+  weariness: 2,
+  weaseling: 1.3,
+  weathered: 2.5,
+  webmaster: 1.6,
+  weeknight: 2.1,
+  weightier: 1.3,
+  weighting: 1.8,
+  weirdness: 3,
+  welcoming: 3.4,
+  westbound: 3,
+  westerner: 2.3,
+  westwards: 1.3,
+  whalebone: 2,
+  wheedling: 1.6,
+  wheelbase: 1.9,
+  wherefore: 2.9,
+  whereupon: 2.3,
+  whetstone: 2.2,
+  whichever: 3.5,
+  whimpered: 1.9,
+  whimsical: 2.9,
+  whinnying: 2.9,
+  whippings: 1.8,
+  whirligig: 1.6,
+  whirlpool: 2.8,
+  whirlwind: 3,
+  whiskered: 1.8,
+  whispered: 3.3,
+  whistlers: 2.1,
+  whistling: 3.7,
+  whitecaps: 1.3,
+  whitefish: 2.7,
+  whiteness: 2.1,
+  whitening: 1.6,
+  whitewash: 2.8,
+  whittlers: 1.3,
+  whittling: 2.5,
+  whodunits: 1.6,
+  wholeness: 2,
+  wholesale: 3.2,
+  wholesome: 3.2,
+  whooshing: 2.1,
+  whosoever: 2.8,
+  wickedest: 2.2,
+  widowhood: 1.9,
+  willfully: 2.7,
+  willingly: 3.4,
+  willpower: 3,
+  windbreak: 1.3,
+  windfalls: 1.3,
+  windmills: 2.7,
+  windpipes: 1.6,
+  windstorm: 2.2,
+  windswept: 2.1,
+  wineglass: 1.9,
+  winnowing: 1.3,
+  winsomely: 1.3,
+  wintering: 1.3,
+  winterize: 1.3,
+  wiseacres: 1.3,
+  wisecrack: 2.4,
+  wishbones: 1.3,
+  wistfully: 2,
+  withdrawn: 3.4,
+  withdraws: 2.5,
+  withering: 2.6,
+  withholds: 1.6,
+  withstand: 3.2,
+  withstood: 2.3,
+  witnessed: 3.8,
+  witnesses: 4.3,
+  witticism: 2.2,
+  woebegone: 1.3,
+  wolfhound: 1.3,
+  wolverine: 2.8,
+  womanhood: 2.9,
+  womanizer: 2.6,
+  womankind: 2.2,
+  womanlike: 1.3,
+  womenfolk: 2.2,
+  wonderful: 5.2,
+  wondering: 4.8,
+  woodchuck: 2.5,
+  woodcraft: 1.3,
+  woodlands: 2,
+  workbench: 2.3,
+  workbooks: 2,
+  workforce: 2.5,
+  workhorse: 2,
+  workhouse: 2.5,
+  workplace: 3.4,
+  worksheet: 2,
+  workshops: 2.5,
+  worldwide: 3.5,
+  wormholes: 2.7,
+  worrisome: 2.4,
+  worrywart: 2,
+  worsening: 2.2,
+  worshiped: 2.6,
+  worshiper: 2.2,
+  worthiest: 1.8,
+  worthless: 4,
+  wranglers: 2.3,
+  wrangling: 2.2,
+  wrappings: 2.1,
+  wreathing: 1.3,
+  wrenching: 2.3,
+  wrestlers: 2.9,
+  wrestling: 3.9,
+  wriggling: 2.4,
+  wrinklies: 1.3,
+  wrinkling: 2.1,
+  wristband: 2.2,
+  wrongdoer: 1.3,
+  wrongness: 1.9,
+  xylophone: 2.2,
+  yachtsman: 1.8,
+  yachtsmen: 1.6,
+  yammering: 2.9,
+  yardstick: 2.5,
+  yarmulkes: 1.9,
+  yearbooks: 2.5,
+  yearlings: 2.3,
+  yearnings: 2.1,
+  yellowing: 2.2,
+  yesterday: 5,
+  youngster: 3.2,
+  zealously: 1.8,
+  zeppelins: 2.1,
+  zigzagged: 1.3,
+  zirconium: 1.6,
+  zoologist: 2.4,
+  zucchinis: 1.6
+};
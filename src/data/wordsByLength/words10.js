@@ -0,0 +1,7180 @@
+// src/data/wordsByLength/words10.js
+//
+// 10-LETTER WORD LIST (generated by scripts/buildWordLists.js - do not edit by hand)
+//
+// Split into two lists, like solutions.js:
+// - ANSWERS_LIST: common words (SCOWL sizes 10-35), the likely answers in Wordle clones
+// - VALID_GUESSES_LIST: less common words accepted as guesses (SCOWL sizes up to 50)
+//
+// Word lists derived from SCOWL (http://wordlist.aspell.net/):
+//   Copyright 2000-2016 by Kevin Atkinson
+//   Permission to use, copy, modify, distribute and sell these word
+//   lists, the associated scripts, the output created from the scripts,
+//   and its documentation for any purpose is hereby granted without fee,
+//   provided that the above copyright notice appears in all copies and
+//   that both that copyright notice and this permission notice appear in
+//   supporting documentation. Kevin Atkinson makes no representations
+//   about the suitability of this array for any purpose. It is provided
+//   "as is" without express or implied warranty.
+
+/**
+ * Common 10-letter words (likely answers)
+ * Total: 4029 words
+ */
+export const ANSWERS_LIST = [
+  "abandoning",
+  "abbreviate",
+  "abdicating",
+  "abdication",
+  "aberration",
+  "abhorrence",
+  "abnormally",
+  "abolishing",
+  "abominable",
+  "aboriginal",
+  "aborigines",
+  "aboveboard",
+  "abscessing",
+  "absconding",
+  "absolutely",
+  "absolutest",
+  "absorbents",
+  "absorption",
+  "abstaining",
+  "abstention",
+  "abstinence",
+  "abstracted",
+  "abundances",
+  "abundantly",
+  "accelerate",
+  "accentuate",
+  "acceptable",
+  "acceptably",
+  "acceptance",
+  "accessible",
+  "accidental",
+  "acclaiming",
+  "acclimated",
+  "acclimates",
+  "accomplice",
+  "accomplish",
+  "accordance",
+  "accordions",
+  "accountant",
+  "accounting",
+  "accredited",
+  "accumulate",
+  "accurately",
+  "accusation",
+  "accustomed",
+  "achievable",
+  "acquainted",
+  "acquiesced",
+  "acquiesces",
+  "acquittals",
+  "acquitting",
+  "acrobatics",
+  "activating",
+  "activities",
+  "adaptation",
+  "addictions",
+  "additional",
+  "addressees",
+  "addressing",
+  "adequately",
+  "adjectives",
+  "adjourning",
+  "adjustable",
+  "adjustment",
+  "administer",
+  "admiration",
+  "admissible",
+  "admissions",
+  "admittance",
+  "admittedly",
+  "admonished",
+  "admonishes",
+  "admonition",
+  "adolescent",
+  "adornments",
+  "adulterate",
+  "adulteries",
+  "advantaged",
+  "advantages",
+  "adventured",
+  "adventurer",
+  "adventures",
+  "adverbials",
+  "advertised",
+  "advertiser",
+  "advertises",
+  "advisories",
+  "advocating",
+  "affections",
+  "affidavits",
+  "affiliated",
+  "affiliates",
+  "affinities",
+  "afflicting",
+  "affliction",
+  "affordable",
+  "affronting",
+  "afterlives",
+  "aftermaths",
+  "afternoons",
+  "afterwards",
+  "aggravated",
+  "aggravates",
+  "aggregated",
+  "aggregates",
+  "aggression",
+  "aggressive",
+  "aggressors",
+  "agitations",
+  "agreements",
+  "airmailing",
+  "alarmingly",
+  "alcoholics",
+  "alcoholism",
+  "algorithms",
+  "alienating",
+  "alienation",
+  "alignments",
+  "allegation",
+  "allegiance",
+  "allegories",
+  "alleviated",
+  "alleviates",
+  "alligators",
+  "allocating",
+  "allocation",
+  "allotments",
+  "allowances",
+  "alphabetic",
+  "alteration",
+  "alternated",
+  "alternates",
+  "alternator",
+  "altogether",
+  "altruistic",
+  "amalgamate",
+  "amateurish",
+  "ambassador",
+  "ambivalent",
+  "ambulances",
+  "amendments",
+  "ammunition",
+  "amnestying",
+  "ampersands",
+  "amphibians",
+  "amphibious",
+  "amplifiers",
+  "amplifying",
+  "amputating",
+  "amputation",
+  "amusements",
+  "analgesics",
+  "analytical",
+  "anarchists",
+  "anatomical",
+  "ancestries",
+  "anchorages",
+  "ancientest",
+  "anesthesia",
+  "anesthetic",
+  "anguishing",
+  "animations",
+  "annexation",
+  "annihilate",
+  "annotating",
+  "annotation",
+  "announcers",
+  "announcing",
+  "annoyances",
+  "annoyingly",
+  "annulments",
+  "answerable",
+  "antagonism",
+  "antagonist",
+  "antagonize",
+  "antibiotic",
+  "antibodies",
+  "anticipate",
+  "anticlimax",
+  "antifreeze",
+  "antiquated",
+  "antiquates",
+  "antiseptic",
+  "antisocial",
+  "antitheses",
+  "antithesis",
+  "apartments",
+  "apocryphal",
+  "apologetic",
+  "apologized",
+  "apologizes",
+  "apostrophe",
+  "appareling",
+  "apparently",
+  "apparition",
+  "appearance",
+  "appendages",
+  "appendices",
+  "appendixes",
+  "appetizers",
+  "appetizing",
+  "applauding",
+  "appliances",
+  "applicable",
+  "applicants",
+  "applicator",
+  "appointees",
+  "appointing",
+  "appraisals",
+  "appraising",
+  "appreciate",
+  "apprehends",
+  "apprentice",
+  "approached",
+  "approaches",
+  "aquamarine",
+  "arbitrated",
+  "arbitrates",
+  "arbitrator",
+  "archbishop",
+  "archetypal",
+  "architects",
+  "aristocrat",
+  "arithmetic",
+  "armadillos",
+  "armistices",
+  "arraigning",
+  "arrogantly",
+  "arthritics",
+  "artichokes",
+  "articulate",
+  "artificial",
+  "ascensions",
+  "ascertains",
+  "aspersions",
+  "asphalting",
+  "asphyxiate",
+  "aspiration",
+  "assailants",
+  "assaulting",
+  "assemblers",
+  "assemblies",
+  "assembling",
+  "assertions",
+  "assessment",
+  "assignment",
+  "assimilate",
+  "assistance",
+  "assistants",
+  "associated",
+  "associates",
+  "assortment",
+  "assumption",
+  "assurances",
+  "asterisked",
+  "astonished",
+  "astonishes",
+  "astounding",
+  "astringent",
+  "astronauts",
+  "astronomer",
+  "atmosphere",
+  "atrocities",
+  "attachment",
+  "attainment",
+  "attempting",
+  "attendance",
+  "attendants",
+  "attentions",
+  "attracting",
+  "attraction",
+  "attractive",
+  "attributed",
+  "attributes",
+  "auctioneer",
+  "auctioning",
+  "auditioned",
+  "auditorium",
+  "augmenting",
+  "auspicious",
+  "authorized",
+  "authorizes",
+  "authorship",
+  "autocratic",
+  "autographs",
+  "automatics",
+  "automating",
+  "automation",
+  "automobile",
+  "automotive",
+  "autonomous",
+  "autopsying",
+  "avalanches",
+  "avaricious",
+  "awkwardest",
+  "backfiring",
+  "backgammon",
+  "background",
+  "backhanded",
+  "backlashes",
+  "backlogged",
+  "backpacked",
+  "backtracks",
+  "ballasting",
+  "ballerinas",
+  "ballistics",
+  "ballooning",
+  "bamboozled",
+  "bamboozles",
+  "bandstands",
+  "bandwagons",
+  "bankruptcy",
+  "bankrupted",
+  "banqueting",
+  "barbarians",
+  "barbecuing",
+  "bargaining",
+  "barometers",
+  "barricaded",
+  "barricades",
+  "barristers",
+  "bartenders",
+  "basketball",
+  "battalions",
+  "battleship",
+  "bayoneting",
+  "beautician",
+  "beautified",
+  "beautifies",
+  "bedclothes",
+  "bedspreads",
+  "beforehand",
+  "befriended",
+  "beginnings",
+  "begrudging",
+  "behavioral",
+  "belaboring",
+  "believable",
+  "belittling",
+  "belongings",
+  "benefactor",
+  "beneficial",
+  "benefiting",
+  "benevolent",
+  "bequeathed",
+  "beseeching",
+  "bestiality",
+  "betrothals",
+  "betterment",
+  "bewildered",
+  "bewitching",
+  "bilinguals",
+  "billboards",
+  "biographer",
+  "biological",
+  "biologists",
+  "bipartisan",
+  "birthmarks",
+  "birthplace",
+  "bitterness",
+  "blackberry",
+  "blackbirds",
+  "blackboard",
+  "blackening",
+  "blackheads",
+  "blackjacks",
+  "blacklists",
+  "blackmails",
+  "blacksmith",
+  "blancmange",
+  "blanketing",
+  "blasphemed",
+  "blasphemes",
+  "blemishing",
+  "blindfolds",
+  "blindingly",
+  "blinkering",
+  "blissfully",
+  "blistering",
+  "blockading",
+  "blockheads",
+  "bloodhound",
+  "blossoming",
+  "blubbering",
+  "bludgeoned",
+  "blueprints",
+  "blundering",
+  "blustering",
+  "boardwalks",
+  "boastfully",
+  "bobsledded",
+  "bodyguards",
+  "boisterous",
+  "bolstering",
+  "bombarding",
+  "bookkeeper",
+  "bookmarked",
+  "boomerangs",
+  "bootlegged",
+  "borderline",
+  "bothersome",
+  "bottleneck",
+  "bottomless",
+  "boulevards",
+  "boundaries",
+  "boycotting",
+  "boyfriends",
+  "bracketing",
+  "brainstorm",
+  "brandished",
+  "brandishes",
+  "brassieres",
+  "breakables",
+  "breakdowns",
+  "breakfasts",
+  "breakwater",
+  "breathless",
+  "bricklayer",
+  "bridegroom",
+  "bridesmaid",
+  "briefcases",
+  "brightened",
+  "brightness",
+  "brilliance",
+  "brilliants",
+  "broadcasts",
+  "broadening",
+  "broadsided",
+  "broadsides",
+  "bronchitis",
+  "browbeaten",
+  "buffaloing",
+  "bulldogged",
+  "bulldozers",
+  "bulldozing",
+  "bulletined",
+  "bullfights",
+  "bumblebees",
+  "burdensome",
+  "bureaucrat",
+  "burglaries",
+  "burnishing",
+  "businesses",
+  "busybodies",
+  "butcheries",
+  "butchering",
+  "buttercups",
+  "buttermilk",
+  "buttonhole",
+  "buttressed",
+  "buttresses",
+  "bystanders",
+  "cafeterias",
+  "calamities",
+  "calculated",
+  "calculates",
+  "calculator",
+  "calendared",
+  "calibrated",
+  "calibrates",
+  "callousing",
+  "camouflage",
+  "campaigned",
+  "campaigner",
+  "candidates",
+  "cantaloupe",
+  "canvassers",
+  "canvassing",
+  "capability",
+  "capacities",
+  "capacitors",
+  "capitalism",
+  "capitalist",
+  "capitalize",
+  "capitulate",
+  "capricious",
+  "captaining",
+  "captioning",
+  "captivated",
+  "captivates",
+  "carburetor",
+  "carefuller",
+  "carelessly",
+  "caretakers",
+  "caricature",
+  "carnations",
+  "carnivores",
+  "carpenters",
+  "cartilages",
+  "cartooning",
+  "cartoonist",
+  "cartridges",
+  "cartwheels",
+  "cashiering",
+  "casseroled",
+  "casseroles",
+  "castigated",
+  "castigates",
+  "castrating",
+  "casualties",
+  "cataclysms",
+  "cataloging",
+  "catapulted",
+  "catcalling",
+  "catechisms",
+  "categories",
+  "categorize",
+  "cathedrals",
+  "catnapping",
+  "cautioning",
+  "cautiously",
+  "celebrated",
+  "celebrates",
+  "cellophane",
+  "cemeteries",
+  "censorship",
+  "centennial",
+  "centimeter",
+  "centipedes",
+  "centralize",
+  "centrifuge",
+  "ceremonial",
+  "ceremonies",
+  "certifying",
+  "cessations",
+  "chagrining",
+  "challenged",
+  "challenger",
+  "challenges",
+  "chameleons",
+  "champagnes",
+  "championed",
+  "chancellor",
+  "chandelier",
+  "changeable",
+  "changeover",
+  "channeling",
+  "chaperoned",
+  "characters",
+  "chargeable",
+  "charitable",
+  "charitably",
+  "charlatans",
+  "chartering",
+  "chastening",
+  "chastising",
+  "chatterbox",
+  "chattering",
+  "chauffeurs",
+  "chauvinist",
+  "cheapening",
+  "checkpoint",
+  "cheerfully",
+  "chemically",
+  "cherishing",
+  "chickening",
+  "chieftains",
+  "childbirth",
+  "childhoods",
+  "chimpanzee",
+  "chivalrous",
+  "chloroform",
+  "chocolates",
+  "choppering",
+  "christened",
+  "chromosome",
+  "chronicled",
+  "chronicles",
+  "chronology",
+  "cigarettes",
+  "circuiting",
+  "circuitous",
+  "circulated",
+  "circulates",
+  "circumcise",
+  "circumflex",
+  "circumvent",
+  "civilities",
+  "civilizing",
+  "clambering",
+  "clarifying",
+  "classified",
+  "classifies",
+  "classmates",
+  "classrooms",
+  "clattering",
+  "cleanliest",
+  "clearances",
+  "cleverness",
+  "clinically",
+  "clipboards",
+  "clockworks",
+  "cloistered",
+  "clothespin",
+  "cloudburst",
+  "clubhouses",
+  "clumsiness",
+  "clustering",
+  "cluttering",
+  "coagulated",
+  "coagulates",
+  "coalescing",
+  "coalitions",
+  "coarseness",
+  "coarsening",
+  "coastlines",
+  "coexisting",
+  "coherently",
+  "coinciding",
+  "collapsing",
+  "collarbone",
+  "collateral",
+  "colleagues",
+  "collecting",
+  "collection",
+  "collective",
+  "collectors",
+  "collegiate",
+  "collisions",
+  "colloquial",
+  "colonizing",
+  "combatants",
+  "combustion",
+  "comestible",
+  "comforting",
+  "commandant",
+  "commandeer",
+  "commanders",
+  "commanding",
+  "commencing",
+  "commending",
+  "commentary",
+  "commenting",
+  "commercial",
+  "commission",
+  "commitment",
+  "committees",
+  "committing",
+  "commodores",
+  "commotions",
+  "communions",
+  "communique",
+  "communists",
+  "compactest",
+  "compacting",
+  "compaction",
+  "companions",
+  "comparable",
+  "comparison",
+  "compassing",
+  "compassion",
+  "compatible",
+  "compatriot",
+  "compelling",
+  "compensate",
+  "competence",
+  "competitor",
+  "complacent",
+  "complained",
+  "complaints",
+  "complement",
+  "completely",
+  "completest",
+  "completing",
+  "completion",
+  "complexion",
+  "complexity",
+  "compliance",
+  "complicate",
+  "compliment",
+  "components",
+  "composites",
+  "composting",
+  "compounded",
+  "comprehend",
+  "compressed",
+  "compresses",
+  "comprising",
+  "compromise",
+  "compulsion",
+  "compulsive",
+  "compulsory",
+  "concealing",
+  "conceiving",
+  "concentric",
+  "conception",
+  "conceptual",
+  "concerning",
+  "concerting",
+  "concession",
+  "conciliate",
+  "concluding",
+  "conclusion",
+  "conclusive",
+  "concocting",
+  "concoction",
+  "concourses",
+  "concreting",
+  "concurrent",
+  "concurring",
+  "concussion",
+  "condemning",
+  "condensing",
+  "condescend",
+  "condiments",
+  "conditions",
+  "condolence",
+  "conducting",
+  "conductors",
+  "confection",
+  "conference",
+  "conferring",
+  "confessing",
+  "confession",
+  "confidants",
+  "confidence",
+  "configured",
+  "configures",
+  "confirming",
+  "confiscate",
+  "conflicted",
+  "conforming",
+  "conformity",
+  "confounded",
+  "confronted",
+  "congealing",
+  "congesting",
+  "congestion",
+  "congregate",
+  "congresses",
+  "coniferous",
+  "conjecture",
+  "conjugated",
+  "conjugates",
+  "connecting",
+  "connection",
+  "connective",
+  "connectors",
+  "conquering",
+  "conquerors",
+  "conscience",
+  "consecrate",
+  "consenting",
+  "consequent",
+  "conserving",
+  "considered",
+  "consigning",
+  "consistent",
+  "consisting",
+  "consonants",
+  "consorting",
+  "consortium",
+  "conspiracy",
+  "conspiring",
+  "constantly",
+  "constitute",
+  "constrains",
+  "constraint",
+  "constricts",
+  "constructs",
+  "construing",
+  "consulates",
+  "consultant",
+  "consulting",
+  "consumable",
+  "consummate",
+  "contacting",
+  "contagions",
+  "contagious",
+  "containers",
+  "containing",
+  "contenders",
+  "contending",
+  "contenting",
+  "contention",
+  "contestant",
+  "contesting",
+  "contextual",
+  "contiguous",
+  "continents",
+  "contingent",
+  "continuing",
+  "continuity",
+  "continuous",
+  "contorting",
+  "contortion",
+  "contouring",
+  "contraband",
+  "contracted",
+  "contractor",
+  "contradict",
+  "contraries",
+  "contrasted",
+  "contravene",
+  "contribute",
+  "contriving",
+  "controlled",
+  "controller",
+  "convalesce",
+  "convection",
+  "convenient",
+  "convention",
+  "converging",
+  "conversant",
+  "conversely",
+  "conversing",
+  "conversion",
+  "converters",
+  "converting",
+  "conveyance",
+  "convicting",
+  "conviction",
+  "convincing",
+  "convoluted",
+  "convulsing",
+  "convulsion",
+  "convulsive",
+  "cooperated",
+  "cooperates",
+  "coordinate",
+  "copperhead",
+  "copulation",
+  "copyrights",
+  "corkscrews",
+  "cornflakes",
+  "cornstarch",
+  "coronaries",
+  "coronation",
+  "corpuscles",
+  "corralling",
+  "correctest",
+  "correcting",
+  "correction",
+  "corrective",
+  "correlated",
+  "correlates",
+  "correspond",
+  "corrosives",
+  "corruptest",
+  "corrupting",
+  "corruption",
+  "cosmonauts",
+  "cottontail",
+  "cottonwood",
+  "councilors",
+  "counseling",
+  "counselors",
+  "countdowns",
+  "counteract",
+  "countering",
+  "countesses",
+  "countryman",
+  "countrymen",
+  "courageous",
+  "courtesies",
+  "courthouse",
+  "courtrooms",
+  "courtships",
+  "courtyards",
+  "covenanted",
+  "crayfishes",
+  "creatively",
+  "creativity",
+  "credential",
+  "creditable",
+  "cremations",
+  "crescendos",
+  "criminally",
+  "crimsoning",
+  "crisscross",
+  "critically",
+  "criticisms",
+  "criticized",
+  "criticizes",
+  "critiquing",
+  "crocheting",
+  "crocodiles",
+  "crookedest",
+  "crossroads",
+  "crosswalks",
+  "crosswords",
+  "crucifixes",
+  "crucifying",
+  "crumbliest",
+  "crustacean",
+  "culminated",
+  "culminates",
+  "cultivated",
+  "cultivates",
+  "culturally",
+  "cumbersome",
+  "cumulative",
+  "cunningest",
+  "currencies",
+  "curriculum",
+  "curtailing",
+  "curtaining",
+  "curvatures",
+  "cushioning",
+  "custodians",
+  "customized",
+  "customizes",
+  "cutthroats",
+  "dachshunds",
+  "dandelions",
+  "daredevils",
+  "dashboards",
+  "daydreamed",
+  "deadlocked",
+  "debasement",
+  "debauchery",
+  "debilitate",
+  "debilities",
+  "debriefing",
+  "decapitate",
+  "deceptions",
+  "decimating",
+  "deciphered",
+  "decisively",
+  "declension",
+  "decomposed",
+  "decomposes",
+  "decorating",
+  "decoration",
+  "decorative",
+  "decorators",
+  "decreasing",
+  "dedicating",
+  "dedication",
+  "deductions",
+  "defamation",
+  "defamatory",
+  "defaulting",
+  "defecating",
+  "defectives",
+  "defendants",
+  "defensible",
+  "deficiency",
+  "definitely",
+  "definition",
+  "definitive",
+  "deflecting",
+  "deflection",
+  "defrauding",
+  "defrosting",
+  "degenerate",
+  "dehydrated",
+  "dehydrates",
+  "delectable",
+  "delegating",
+  "delegation",
+  "deliberate",
+  "delicacies",
+  "delicately",
+  "delightful",
+  "delighting",
+  "delimiters",
+  "delimiting",
+  "delinquent",
+  "deliveries",
+  "delivering",
+  "demagogues",
+  "democratic",
+  "demolished",
+  "demolishes",
+  "demolition",
+  "demoralize",
+  "denouncing",
+  "deodorants",
+  "deodorized",
+  "deodorizes",
+  "department",
+  "departures",
+  "dependable",
+  "dependence",
+  "dependency",
+  "dependents",
+  "deplorable",
+  "deportment",
+  "depositing",
+  "deprecated",
+  "deprecates",
+  "depreciate",
+  "depressing",
+  "depression",
+  "derailment",
+  "derivation",
+  "derivative",
+  "derogatory",
+  "descendant",
+  "descending",
+  "describing",
+  "descriptor",
+  "desecrated",
+  "desecrates",
+  "designated",
+  "designates",
+  "desolating",
+  "desolation",
+  "despairing",
+  "despicable",
+  "despondent",
+  "destroyers",
+  "destroying",
+  "detachable",
+  "detachment",
+  "detectable",
+  "detectives",
+  "detentions",
+  "detergents",
+  "determined",
+  "determines",
+  "deterrents",
+  "dethroning",
+  "detonating",
+  "detonation",
+  "detonators",
+  "detracting",
+  "detriments",
+  "devastated",
+  "devastates",
+  "developers",
+  "developing",
+  "deviations",
+  "devolution",
+  "diabolical",
+  "diagnosing",
+  "diagnostic",
+  "diagonally",
+  "diagrammed",
+  "diaphragms",
+  "dictations",
+  "dictionary",
+  "difference",
+  "difficulty",
+  "digestible",
+  "digestions",
+  "digitizing",
+  "dignifying",
+  "digressing",
+  "digression",
+  "diligently",
+  "dimensions",
+  "diminished",
+  "diminishes",
+  "diminutive",
+  "diphtheria",
+  "diphthongs",
+  "diplomatic",
+  "directions",
+  "directives",
+  "directness",
+  "disability",
+  "disallowed",
+  "disappears",
+  "disappoint",
+  "disapprove",
+  "disarrayed",
+  "disastrous",
+  "disavowing",
+  "disbanding",
+  "disbelieve",
+  "disbursing",
+  "discarding",
+  "discerning",
+  "discharged",
+  "discharges",
+  "discipline",
+  "disclaimed",
+  "disclaimer",
+  "disclosing",
+  "disclosure",
+  "discolored",
+  "discomfort",
+  "disconcert",
+  "disconnect",
+  "discontent",
+  "discordant",
+  "discording",
+  "discounted",
+  "discourage",
+  "discoursed",
+  "discourses",
+  "discovered",
+  "discredits",
+  "discreeter",
+  "discreetly",
+  "discretion",
+  "discussing",
+  "discussion",
+  "disdainful",
+  "disdaining",
+  "disembarks",
+  "disengaged",
+  "disengages",
+  "disfavored",
+  "disfigured",
+  "disfigures",
+  "disgracing",
+  "disgruntle",
+  "disguising",
+  "disgusting",
+  "dishearten",
+  "dishonesty",
+  "dishonored",
+  "dishwasher",
+  "disinfects",
+  "disinherit",
+  "disjointed",
+  "dislocated",
+  "dislocates",
+  "dislodging",
+  "disloyalty",
+  "dismantled",
+  "dismantles",
+  "dismembers",
+  "dismissals",
+  "dismissing",
+  "dismissive",
+  "dismounted",
+  "disobeying",
+  "disordered",
+  "disorderly",
+  "disparaged",
+  "disparages",
+  "dispatched",
+  "dispatches",
+  "dispelling",
+  "dispensary",
+  "dispensers",
+  "dispensing",
+  "dispersing",
+  "dispersion",
+  "displacing",
+  "displaying",
+  "displeased",
+  "displeases",
+  "disposable",
+  "dispossess",
+  "disproving",
+  "disqualify",
+  "disquieted",
+  "disregards",
+  "disrespect",
+  "disrupting",
+  "disruption",
+  "disruptive",
+  "dissatisfy",
+  "dissecting",
+  "dissection",
+  "dissension",
+  "dissenters",
+  "dissenting",
+  "disservice",
+  "dissidents",
+  "dissimilar",
+  "dissipated",
+  "dissipates",
+  "dissociate",
+  "dissolving",
+  "dissonance",
+  "dissuading",
+  "distancing",
+  "distending",
+  "distillers",
+  "distillery",
+  "distilling",
+  "distincter",
+  "distinctly",
+  "distorting",
+  "distortion",
+  "distracted",
+  "distraught",
+  "distressed",
+  "distresses",
+  "distribute",
+  "distrusted",
+  "disturbing",
+  "divergence",
+  "diversions",
+  "divinities",
+  "documented",
+  "domiciling",
+  "dominating",
+  "domination",
+  "doubtfully",
+  "downgraded",
+  "downgrades",
+  "downstairs",
+  "downstream",
+  "dramatists",
+  "dramatized",
+  "dramatizes",
+  "drawbridge",
+  "dreadfully",
+  "dressmaker",
+  "drowsiness",
+  "drugstores",
+  "drumsticks",
+  "dumbfounds",
+  "duplicated",
+  "duplicates",
+  "durability",
+  "dynamiting",
+  "earmarking",
+  "earthliest",
+  "earthquake",
+  "earthworms",
+  "easterlies",
+  "eavesdrops",
+  "eccentrics",
+  "ecological",
+  "ecologists",
+  "economical",
+  "economists",
+  "economized",
+  "economizes",
+  "ecosystems",
+  "ecumenical",
+  "editorials",
+  "editorship",
+  "educations",
+  "effeminate",
+  "efficiency",
+  "effortless",
+  "effusively",
+  "egocentric",
+  "eigenvalue",
+  "eighteenth",
+  "eightieths",
+  "ejaculated",
+  "ejaculates",
+  "elaborated",
+  "elaborates",
+  "elasticity",
+  "electorate",
+  "electrical",
+  "electrodes",
+  "electronic",
+  "elementary",
+  "elevations",
+  "eliminated",
+  "eliminates",
+  "elliptical",
+  "elongating",
+  "elopements",
+  "eloquently",
+  "emancipate",
+  "embankment",
+  "embargoing",
+  "embezzling",
+  "embittered",
+  "embodiment",
+  "embroiders",
+  "embroidery",
+  "emigrating",
+  "emigration",
+  "emissaries",
+  "emphasized",
+  "emphasizes",
+  "employment",
+  "empowering",
+  "emulations",
+  "enactments",
+  "enchanting",
+  "encircling",
+  "enclosures",
+  "encounters",
+  "encouraged",
+  "encourages",
+  "encroached",
+  "encroaches",
+  "encryption",
+  "encumbered",
+  "endangered",
+  "endearment",
+  "endeavored",
+  "endowments",
+  "engagement",
+  "engendered",
+  "engineered",
+  "engravings",
+  "engrossing",
+  "enjoyments",
+  "enlightens",
+  "enlistment",
+  "enlivening",
+  "enormities",
+  "enormously",
+  "enrichment",
+  "enrollment",
+  "enshrining",
+  "entangling",
+  "enterprise",
+  "entertains",
+  "enthralled",
+  "enthusiasm",
+  "enthusiast",
+  "enticement",
+  "entomology",
+  "entrancing",
+  "entrapping",
+  "entreaties",
+  "entreating",
+  "entrenched",
+  "entrenches",
+  "entrusting",
+  "enumerated",
+  "enumerates",
+  "enunciated",
+  "enunciates",
+  "enveloping",
+  "envisaging",
+  "epileptics",
+  "equalizing",
+  "equanimity",
+  "equatorial",
+  "equestrian",
+  "equivalent",
+  "eradicated",
+  "eradicates",
+  "escalating",
+  "escalation",
+  "escalators",
+  "especially",
+  "essentials",
+  "estimating",
+  "estimation",
+  "eternities",
+  "eulogizing",
+  "euphemisms",
+  "euthanasia",
+  "evacuating",
+  "evacuation",
+  "evaluating",
+  "evaluation",
+  "evangelism",
+  "evangelist",
+  "evaporated",
+  "evaporates",
+  "eventually",
+  "evergreens",
+  "everything",
+  "everywhere",
+  "evidencing",
+  "exacerbate",
+  "exaggerate",
+  "exaltation",
+  "exasperate",
+  "excavating",
+  "excavation",
+  "excellence",
+  "exceptions",
+  "excerpting",
+  "exchanging",
+  "excitement",
+  "exclaiming",
+  "exclusives",
+  "excursions",
+  "executable",
+  "executions",
+  "executives",
+  "exemptions",
+  "exercising",
+  "exhausting",
+  "exhaustion",
+  "exhaustive",
+  "exhibiting",
+  "exhibition",
+  "exhilarate",
+  "existences",
+  "exonerated",
+  "exonerates",
+  "exorbitant",
+  "expandable",
+  "expansions",
+  "expatriate",
+  "expectancy",
+  "expediency",
+  "expedients",
+  "expediting",
+  "expedition",
+  "expendable",
+  "experience",
+  "experiment",
+  "expiration",
+  "explaining",
+  "expletives",
+  "explicable",
+  "explicitly",
+  "exploiting",
+  "explosions",
+  "explosives",
+  "exposition",
+  "expounding",
+  "expressing",
+  "expression",
+  "expressive",
+  "expressway",
+  "expulsions",
+  "extensions",
+  "externally",
+  "extincting",
+  "extinction",
+  "extinguish",
+  "extracting",
+  "extraction",
+  "extradited",
+  "extradites",
+  "extraneous",
+  "extremists",
+  "extricated",
+  "extricates",
+  "extroverts",
+  "exuberance",
+  "exultation",
+  "eyeballing",
+  "eyewitness",
+  "fabricated",
+  "fabricates",
+  "facilitate",
+  "facilities",
+  "facsimiled",
+  "facsimiles",
+  "faithfully",
+  "fallacious",
+  "falsehoods",
+  "falsifying",
+  "fantasying",
+  "fascinated",
+  "fascinates",
+  "fashioning",
+  "fastenings",
+  "fastidious",
+  "fatalistic",
+  "fatalities",
+  "fatherhood",
+  "fatherland",
+  "favoritism",
+  "fearlessly",
+  "featherier",
+  "feathering",
+  "federalism",
+  "federalist",
+  "federation",
+  "fellowship",
+  "femininity",
+  "fermenting",
+  "fertilized",
+  "fertilizer",
+  "fertilizes",
+  "festooning",
+  "feverishly",
+  "fiberglass",
+  "fictitious",
+  "fiendishly",
+  "fierceness",
+  "fifteenths",
+  "figurative",
+  "figurehead",
+  "finalizing",
+  "financiers",
+  "fingernail",
+  "fingertips",
+  "finickiest",
+  "fireplaces",
+  "fireproofs",
+  "flagrantly",
+  "flagstones",
+  "flamboyant",
+  "flammables",
+  "flanneling",
+  "flashbacks",
+  "flashlight",
+  "flattening",
+  "flatterers",
+  "flattering",
+  "flavorings",
+  "flawlessly",
+  "fledglings",
+  "flickering",
+  "flightiest",
+  "flightless",
+  "flimsiness",
+  "flirtation",
+  "floodlight",
+  "floundered",
+  "flourished",
+  "flourishes",
+  "floweriest",
+  "fluctuated",
+  "fluctuates",
+  "flustering",
+  "fluttering",
+  "followings",
+  "foodstuffs",
+  "footlights",
+  "footnoting",
+  "footprints",
+  "footstools",
+  "forbearing",
+  "forbidding",
+  "forcefully",
+  "forearming",
+  "foreboding",
+  "forefather",
+  "forefinger",
+  "forefronts",
+  "foreground",
+  "foreigners",
+  "forerunner",
+  "foreseeing",
+  "foreshadow",
+  "forestalls",
+  "foretasted",
+  "foretastes",
+  "forewarned",
+  "forfeiting",
+  "forgetting",
+  "formalized",
+  "formalizes",
+  "formations",
+  "formatting",
+  "formidable",
+  "formulated",
+  "formulates",
+  "forthright",
+  "fortifying",
+  "fortresses",
+  "fortuitous",
+  "forwardest",
+  "forwarding",
+  "fossilized",
+  "fossilizes",
+  "foundation",
+  "foundering",
+  "foundlings",
+  "fourteenth",
+  "fractional",
+  "fracturing",
+  "fragmented",
+  "fragrances",
+  "frameworks",
+  "franchised",
+  "franchises",
+  "fraternity",
+  "fraternize",
+  "fraudulent",
+  "freighters",
+  "freighting",
+  "frequented",
+  "frequenter",
+  "frequently",
+  "freshening",
+  "freshwater",
+  "friendlier",
+  "friendlies",
+  "friendship",
+  "frightened",
+  "frittering",
+  "frolicking",
+  "frostbites",
+  "frustrated",
+  "frustrates",
+  "fulfilling",
+  "fumigating",
+  "fumigation",
+  "functional",
+  "functioned",
+  "fungicides",
+  "furloughed",
+  "furnishing",
+  "furthering",
+  "futuristic",
+  "gallivants",
+  "galvanized",
+  "galvanizes",
+  "gangplanks",
+  "gangrening",
+  "garlanding",
+  "garnishing",
+  "garrisoned",
+  "gatherings",
+  "generality",
+  "generalize",
+  "generating",
+  "generation",
+  "generators",
+  "generosity",
+  "generously",
+  "geneticist",
+  "gentleness",
+  "geographic",
+  "geological",
+  "geologists",
+  "geometries",
+  "germicides",
+  "germinated",
+  "germinates",
+  "ghastliest",
+  "ghostliest",
+  "girlfriend",
+  "gladdening",
+  "gladiators",
+  "glamorized",
+  "glamorizes",
+  "glamouring",
+  "glimmering",
+  "glistening",
+  "glittering",
+  "glorifying",
+  "gloriously",
+  "glossaries",
+  "goalkeeper",
+  "godfathers",
+  "godmothers",
+  "godparents",
+  "goldfishes",
+  "goldsmiths",
+  "government",
+  "gracefully",
+  "graciously",
+  "gradations",
+  "graduating",
+  "graduation",
+  "gramophone",
+  "grandchild",
+  "grandstand",
+  "grapefruit",
+  "grapevines",
+  "gratefully",
+  "gratifying",
+  "gratuities",
+  "gratuitous",
+  "gravestone",
+  "graveyards",
+  "gravitated",
+  "gravitates",
+  "greediness",
+  "greenbacks",
+  "greenhorns",
+  "greenhouse",
+  "gregarious",
+  "greyhounds",
+  "grievances",
+  "grindstone",
+  "grizzliest",
+  "grotesques",
+  "grouchiest",
+  "groundless",
+  "groundwork",
+  "gruesomest",
+  "guaranteed",
+  "guarantees",
+  "guarantors",
+  "guerrillas",
+  "guidebooks",
+  "guidelines",
+  "guillotine",
+  "gymnasiums",
+  "gymnastics",
+  "gynecology",
+  "gyroscopes",
+  "habitation",
+  "habitually",
+  "hackneying",
+  "hailstones",
+  "hallelujah",
+  "hallmarked",
+  "hamburgers",
+  "hamstrings",
+  "handcuffed",
+  "handedness",
+  "handicraft",
+  "handlebars",
+  "handshakes",
+  "handsomest",
+  "happenings",
+  "haranguing",
+  "harassment",
+  "hardliners",
+  "harmlessly",
+  "harmonicas",
+  "harmonious",
+  "harmonized",
+  "harmonizes",
+  "harnessing",
+  "harpooning",
+  "harvesters",
+  "harvesting",
+  "haughtiest",
+  "headlights",
+  "headlining",
+  "headmaster",
+  "headphones",
+  "headstones",
+  "headstrong",
+  "healthcare",
+  "healthiest",
+  "heartaches",
+  "heartbeats",
+  "heartbreak",
+  "heartening",
+  "heavenlier",
+  "heightened",
+  "helicopter",
+  "helplessly",
+  "hemisphere",
+  "hemoglobin",
+  "hemophilia",
+  "hemorrhage",
+  "henceforth",
+  "hereabouts",
+  "hereafters",
+  "hereditary",
+  "hesitating",
+  "hesitation",
+  "hibernated",
+  "hibernates",
+  "highlights",
+  "hindrances",
+  "hinterland",
+  "historians",
+  "historical",
+  "hitchhiked",
+  "hitchhiker",
+  "hitchhikes",
+  "hoarseness",
+  "hobbyhorse",
+  "hobgoblins",
+  "hobnobbing",
+  "hodgepodge",
+  "holidaying",
+  "holocausts",
+  "holstering",
+  "homesteads",
+  "homogenize",
+  "homophobic",
+  "homosexual",
+  "honeycombs",
+  "honeymoons",
+  "hoodwinked",
+  "hopelessly",
+  "horizontal",
+  "horoscopes",
+  "horrendous",
+  "horrifying",
+  "horsepower",
+  "horseshoed",
+  "horseshoes",
+  "hospitable",
+  "hostessing",
+  "houseboats",
+  "households",
+  "housewives",
+  "hullabaloo",
+  "humanities",
+  "humanizing",
+  "humidified",
+  "humidifies",
+  "humiliated",
+  "humiliates",
+  "humorously",
+  "hunchbacks",
+  "hundredths",
+  "hurricanes",
+  "husbanding",
+  "hydraulics",
+  "hydroplane",
+  "hyphenated",
+  "hyphenates",
+  "hypnotists",
+  "hypnotized",
+  "hypnotizes",
+  "hypocrites",
+  "hypotenuse",
+  "hypotheses",
+  "hypothesis",
+  "hysterical",
+  "icebreaker",
+  "idealistic",
+  "idealizing",
+  "identified",
+  "identifier",
+  "identifies",
+  "identities",
+  "ideologies",
+  "illiteracy",
+  "illiterate",
+  "illuminate",
+  "illustrate",
+  "imaginable",
+  "imbalances",
+  "imitations",
+  "immaculate",
+  "immaterial",
+  "immaturity",
+  "immersions",
+  "immigrants",
+  "immigrated",
+  "immigrates",
+  "imminently",
+  "immobilize",
+  "immorality",
+  "immunizing",
+  "impairment",
+  "impassable",
+  "impatience",
+  "impeaching",
+  "impeccable",
+  "impediment",
+  "imperative",
+  "imperfects",
+  "imperiling",
+  "impersonal",
+  "impervious",
+  "implacable",
+  "implanting",
+  "implements",
+  "implicated",
+  "implicates",
+  "implicitly",
+  "importance",
+  "imposition",
+  "impossible",
+  "impossibly",
+  "impounding",
+  "impoverish",
+  "impregnate",
+  "impressing",
+  "impression",
+  "impressive",
+  "imprinting",
+  "imprisoned",
+  "improbable",
+  "improbably",
+  "impromptus",
+  "improperly",
+  "improvised",
+  "improvises",
+  "impurities",
+  "inaccuracy",
+  "inaccurate",
+  "inactivity",
+  "inadequacy",
+  "inadequate",
+  "inaugurals",
+  "inaugurate",
+  "inbreeding",
+  "incapacity",
+  "incarnated",
+  "incarnates",
+  "incendiary",
+  "incentives",
+  "inceptions",
+  "incestuous",
+  "incidences",
+  "incidental",
+  "incinerate",
+  "incitement",
+  "inclusions",
+  "incognitos",
+  "incoherent",
+  "incomplete",
+  "increasing",
+  "incredible",
+  "incredibly",
+  "increments",
+  "incubating",
+  "incubation",
+  "incubators",
+  "incumbents",
+  "incurables",
+  "indecision",
+  "indecisive",
+  "indefinite",
+  "indelicate",
+  "indicating",
+  "indication",
+  "indicative",
+  "indicators",
+  "indictment",
+  "indigenous",
+  "indirectly",
+  "indiscreet",
+  "indisposed",
+  "indistinct",
+  "individual",
+  "inducement",
+  "inductions",
+  "indulgence",
+  "industrial",
+  "industries",
+  "ineligible",
+  "ineptitude",
+  "inequality",
+  "inevitable",
+  "inevitably",
+  "inexorable",
+  "inexorably",
+  "infallible",
+  "infantries",
+  "infeasible",
+  "infections",
+  "infectious",
+  "infelicity",
+  "inferences",
+  "infidelity",
+  "infiltrate",
+  "infinitely",
+  "infinities",
+  "infinitive",
+  "inflatable",
+  "inflection",
+  "inflexible",
+  "inflicting",
+  "influenced",
+  "influences",
+  "informally",
+  "informants",
+  "infraction",
+  "infrequent",
+  "infringing",
+  "infuriated",
+  "infuriates",
+  "ingraining",
+  "ingratiate",
+  "ingredient",
+  "inhabitant",
+  "inhabiting",
+  "inherently",
+  "inheriting",
+  "inhibiting",
+  "inhibition",
+  "inhumanity",
+  "initialing",
+  "initialize",
+  "initiating",
+  "initiation",
+  "initiative",
+  "initiators",
+  "injections",
+  "injunction",
+  "injustices",
+  "innkeepers",
+  "innocently",
+  "innovation",
+  "innovative",
+  "inoculated",
+  "inoculates",
+  "inordinate",
+  "insatiable",
+  "inscribing",
+  "insecurity",
+  "insertions",
+  "insinuated",
+  "insinuates",
+  "insistence",
+  "insolvency",
+  "insolvents",
+  "inspecting",
+  "inspection",
+  "inspectors",
+  "installing",
+  "instancing",
+  "instigated",
+  "instigates",
+  "instilling",
+  "instituted",
+  "institutes",
+  "instructed",
+  "instructor",
+  "instrument",
+  "insulating",
+  "insulation",
+  "insulators",
+  "insurances",
+  "insurgents",
+  "intangible",
+  "integrated",
+  "integrates",
+  "intellects",
+  "intensives",
+  "intentions",
+  "interacted",
+  "interceded",
+  "intercedes",
+  "intercepts",
+  "interested",
+  "interfaced",
+  "interfaces",
+  "interfered",
+  "interferes",
+  "interjects",
+  "interlocks",
+  "interloper",
+  "interluded",
+  "interludes",
+  "intermarry",
+  "interments",
+  "internally",
+  "interposed",
+  "interposes",
+  "interprets",
+  "interrupts",
+  "intersects",
+  "interstate",
+  "intertwine",
+  "intervened",
+  "intervenes",
+  "interviews",
+  "interweave",
+  "interwoven",
+  "intestinal",
+  "intestines",
+  "intimacies",
+  "intimately",
+  "intimating",
+  "intimation",
+  "intimidate",
+  "intolerant",
+  "intonation",
+  "intoxicate",
+  "intramural",
+  "intriguing",
+  "introduced",
+  "introduces",
+  "introverts",
+  "intrusions",
+  "intuitions",
+  "inundating",
+  "inundation",
+  "invalidate",
+  "invaliding",
+  "invaluable",
+  "invariable",
+  "invariably",
+  "inventions",
+  "inversions",
+  "investment",
+  "inveterate",
+  "invigorate",
+  "invincible",
+  "invitation",
+  "invocation",
+  "iridescent",
+  "ironically",
+  "irradiated",
+  "irradiates",
+  "irrational",
+  "irregulars",
+  "irrelevant",
+  "irreverent",
+  "irrigating",
+  "irrigation",
+  "irritating",
+  "irritation",
+  "italicized",
+  "italicizes",
+  "iterations",
+  "itinerants",
+  "jackknifed",
+  "jackknifes",
+  "jackknives",
+  "jaundicing",
+  "jaywalkers",
+  "jaywalking",
+  "jealousies",
+  "jeopardize",
+  "jettisoned",
+  "jitteriest",
+  "journalism",
+  "journalist",
+  "journeying",
+  "joyfullest",
+  "jubilation",
+  "judicially",
+  "juggernaut",
+  "justifying",
+  "juxtaposed",
+  "juxtaposes",
+  "keyboarded",
+  "keystrokes",
+  "kidnappers",
+  "kidnapping",
+  "kilometers",
+  "kindnesses",
+  "kingfisher",
+  "kneecapped",
+  "knighthood",
+  "laboratory",
+  "labyrinths",
+  "lacerating",
+  "laceration",
+  "lackluster",
+  "lacquering",
+  "lamentable",
+  "lampooning",
+  "landladies",
+  "landlocked",
+  "landowners",
+  "landscaped",
+  "landscapes",
+  "landslides",
+  "languished",
+  "languishes",
+  "languorous",
+  "laryngitis",
+  "lascivious",
+  "lateraling",
+  "laundering",
+  "lavatories",
+  "leadership",
+  "leafleting",
+  "legalistic",
+  "legalizing",
+  "legibility",
+  "legislated",
+  "legislates",
+  "legislator",
+  "legitimacy",
+  "legitimate",
+  "lengthened",
+  "lengthiest",
+  "lengthwise",
+  "letterhead",
+  "leveraging",
+  "liberalism",
+  "liberalize",
+  "liberating",
+  "liberation",
+  "librarians",
+  "lieutenant",
+  "lifeguards",
+  "lifestyles",
+  "lightening",
+  "lighthouse",
+  "lightnings",
+  "likelihood",
+  "likenesses",
+  "limitation",
+  "limousines",
+  "linguistic",
+  "lipsticked",
+  "liquefying",
+  "liquidated",
+  "liquidates",
+  "literature",
+  "litigation",
+  "litterbugs",
+  "liturgical",
+  "livelihood",
+  "liveliness",
+  "localities",
+  "localizing",
+  "locksmiths",
+  "locomotion",
+  "locomotive",
+  "loincloths",
+  "loneliness",
+  "longitudes",
+  "loveliness",
+  "lubricants",
+  "lubricated",
+  "lubricates",
+  "lumberjack",
+  "luminaries",
+  "luxuriated",
+  "luxuriates",
+  "lymphatics",
+  "machinists",
+  "maelstroms",
+  "magistrate",
+  "magnetized",
+  "magnetizes",
+  "magnifying",
+  "magnitudes",
+  "mahoganies",
+  "mainframes",
+  "mainstream",
+  "maintained",
+  "maintainer",
+  "majorities",
+  "makeshifts",
+  "malevolent",
+  "malignancy",
+  "maltreated",
+  "manageable",
+  "management",
+  "managerial",
+  "maneuvered",
+  "manhandled",
+  "manhandles",
+  "manicuring",
+  "manicurist",
+  "manifested",
+  "manifestly",
+  "manifestos",
+  "manifolded",
+  "manipulate",
+  "mannequins",
+  "mannerisms",
+  "manuscript",
+  "marginally",
+  "marinating",
+  "marionette",
+  "marketable",
+  "marshaling",
+  "marsupials",
+  "mascaraing",
+  "masculines",
+  "masochists",
+  "masquerade",
+  "massacring",
+  "mastermind",
+  "masticated",
+  "masticates",
+  "matchbooks",
+  "matchmaker",
+  "matriarchs",
+  "mattresses",
+  "maturities",
+  "mausoleums",
+  "maximizing",
+  "mayonnaise",
+  "meandering",
+  "meaningful",
+  "measurable",
+  "mechanical",
+  "mechanisms",
+  "mechanized",
+  "mechanizes",
+  "medallions",
+  "meddlesome",
+  "medicating",
+  "medication",
+  "mediocrity",
+  "meditating",
+  "meditation",
+  "megaphoned",
+  "megaphones",
+  "melancholy",
+  "melodramas",
+  "membership",
+  "memorandum",
+  "memorizing",
+  "menageries",
+  "menstruate",
+  "mentioning",
+  "mercantile",
+  "mercifully",
+  "messengers",
+  "metabolism",
+  "metallurgy",
+  "meteorites",
+  "methodical",
+  "meticulous",
+  "metropolis",
+  "mezzanines",
+  "microfiche",
+  "microfilms",
+  "micrometer",
+  "microphone",
+  "microscope",
+  "microwaved",
+  "microwaves",
+  "migrations",
+  "milestones",
+  "militarily",
+  "militating",
+  "milligrams",
+  "millimeter",
+  "millionths",
+  "mindedness",
+  "mindlessly",
+  "miniatures",
+  "minimalism",
+  "minimalist",
+  "minimizing",
+  "ministered",
+  "ministries",
+  "minorities",
+  "minuscules",
+  "miraculous",
+  "misbehaved",
+  "misbehaves",
+  "miscarried",
+  "miscarries",
+  "miscellany",
+  "misconduct",
+  "misdirects",
+  "misfitting",
+  "misfortune",
+  "misgivings",
+  "misguiding",
+  "misinforms",
+  "misjudging",
+  "misleading",
+  "mismatched",
+  "mismatches",
+  "misplacing",
+  "misprinted",
+  "misquoting",
+  "misreading",
+  "missionary",
+  "misspelled",
+  "mistakenly",
+  "mistresses",
+  "mistrusted",
+  "mitigating",
+  "mobilizing",
+  "moderately",
+  "moderating",
+  "moderation",
+  "moderators",
+  "modernized",
+  "modernizes",
+  "modulating",
+  "modulation",
+  "moistening",
+  "mollifying",
+  "monarchies",
+  "monetarism",
+  "monitoring",
+  "monochrome",
+  "monogamous",
+  "monolithic",
+  "monologues",
+  "monopolies",
+  "monopolize",
+  "monotonous",
+  "monumental",
+  "moonlights",
+  "moralities",
+  "moratorium",
+  "morphology",
+  "mortgaging",
+  "mortifying",
+  "mortuaries",
+  "mosquitoes",
+  "mothballed",
+  "motherhood",
+  "motionless",
+  "motivating",
+  "motivation",
+  "motorbikes",
+  "motorcades",
+  "motorcycle",
+  "motorizing",
+  "mouthpiece",
+  "multiplied",
+  "multiplies",
+  "multitudes",
+  "mummifying",
+  "municipals",
+  "mushroomed",
+  "mutilating",
+  "mutilation",
+  "mysterious",
+  "mystifying",
+  "narrations",
+  "narratives",
+  "narrowness",
+  "nationally",
+  "nationwide",
+  "nativities",
+  "naturalist",
+  "naturalize",
+  "naughtiest",
+  "nauseating",
+  "navigating",
+  "navigation",
+  "navigators",
+  "nectarines",
+  "needlessly",
+  "needlework",
+  "negatively",
+  "negativing",
+  "neglectful",
+  "neglecting",
+  "negligence",
+  "negligible",
+  "negotiable",
+  "negotiated",
+  "negotiates",
+  "negotiator",
+  "neighbored",
+  "neighborly",
+  "networking",
+  "neutrality",
+  "neutralize",
+  "newfangled",
+  "newsagents",
+  "newscaster",
+  "newsletter",
+  "newspapers",
+  "newsstands",
+  "nicknaming",
+  "nightclubs",
+  "nightgowns",
+  "nightmares",
+  "nincompoop",
+  "nineteenth",
+  "ninetieths",
+  "noblewoman",
+  "noblewomen",
+  "nominating",
+  "nomination",
+  "nominative",
+  "nonchalant",
+  "nonfiction",
+  "nonprofits",
+  "nontrivial",
+  "nosebleeds",
+  "noteworthy",
+  "noticeable",
+  "noticeably",
+  "nourishing",
+  "nullifying",
+  "numerators",
+  "nursemaids",
+  "nutcracker",
+  "nutriments",
+  "nutritious",
+  "obediently",
+  "obituaries",
+  "objections",
+  "objectives",
+  "obligating",
+  "obligation",
+  "obligatory",
+  "obliterate",
+  "observable",
+  "observance",
+  "obsessions",
+  "obsoleting",
+  "obstetrics",
+  "obstructed",
+  "obtainable",
+  "occasional",
+  "occasioned",
+  "occupation",
+  "occurrence",
+  "offensives",
+  "officially",
+  "officiated",
+  "officiates",
+  "offsetting",
+  "omnipotent",
+  "omniscient",
+  "onslaughts",
+  "operations",
+  "operatives",
+  "opposition",
+  "oppressing",
+  "oppression",
+  "oppressive",
+  "oppressors",
+  "optimistic",
+  "optimizing",
+  "optionally",
+  "orangutans",
+  "orchestral",
+  "orchestras",
+  "ordinances",
+  "ordinaries",
+  "ordinarily",
+  "ordination",
+  "organizers",
+  "organizing",
+  "orientated",
+  "orientates",
+  "originally",
+  "originated",
+  "originates",
+  "originator",
+  "ornamental",
+  "ornamented",
+  "orphanages",
+  "orthogonal",
+  "oscillated",
+  "oscillates",
+  "ostensible",
+  "ostensibly",
+  "ostracized",
+  "ostracizes",
+  "outclassed",
+  "outclasses",
+  "outfitting",
+  "outgrowing",
+  "outgrowths",
+  "outlandish",
+  "outlasting",
+  "outnumbers",
+  "outpatient",
+  "outputting",
+  "outrageous",
+  "outrunning",
+  "outshining",
+  "outsmarted",
+  "outstation",
+  "outweighed",
+  "outwitting",
+  "overburden",
+  "overcharge",
+  "overcoming",
+  "overcrowds",
+  "overdosing",
+  "overeating",
+  "overflowed",
+  "overhauled",
+  "overheated",
+  "overlapped",
+  "overlaying",
+  "overloaded",
+  "overlooked",
+  "overnights",
+  "overpasses",
+  "overpowers",
+  "overpriced",
+  "overprices",
+  "overprints",
+  "overrating",
+  "overreacts",
+  "overridden",
+  "overriding",
+  "overruling",
+  "overseeing",
+  "overshadow",
+  "overshoots",
+  "oversights",
+  "oversleeps",
+  "overstated",
+  "overstates",
+  "overtaking",
+  "overthrown",
+  "overthrows",
+  "overturned",
+  "overweight",
+  "overwhelms",
+  "overworked",
+  "overwrites",
+  "pacemakers",
+  "paddocking",
+  "padlocking",
+  "pagination",
+  "painfuller",
+  "painlessly",
+  "pallbearer",
+  "pancreases",
+  "pancreatic",
+  "panhandled",
+  "panhandler",
+  "panhandles",
+  "pantomimed",
+  "pantomimes",
+  "paperbacks",
+  "parachuted",
+  "parachutes",
+  "paragraphs",
+  "paralleled",
+  "paralytics",
+  "paralyzing",
+  "parameters",
+  "paraphrase",
+  "paraplegic",
+  "parchments",
+  "pardonable",
+  "parenthood",
+  "parliament",
+  "parsonages",
+  "partiality",
+  "participle",
+  "particular",
+  "partitions",
+  "partnering",
+  "partridges",
+  "passageway",
+  "passengers",
+  "passionate",
+  "pasteurize",
+  "patchworks",
+  "patientest",
+  "patriarchs",
+  "patriotism",
+  "patrolling",
+  "patronages",
+  "patronized",
+  "patronizes",
+  "patterning",
+  "paunchiest",
+  "pawnbroker",
+  "peacefully",
+  "peacemaker",
+  "peculiarly",
+  "pedestrian",
+  "pediatrics",
+  "penalizing",
+  "penetrated",
+  "penetrates",
+  "penicillin",
+  "peninsulas",
+  "penmanship",
+  "pensioners",
+  "pensioning",
+  "pentagonal",
+  "penthouses",
+  "peppermint",
+  "perceiving",
+  "percentage",
+  "perception",
+  "perceptive",
+  "percolated",
+  "percolates",
+  "percolator",
+  "percussion",
+  "peremptory",
+  "perennials",
+  "perfectest",
+  "perfecting",
+  "perfection",
+  "perforated",
+  "perforates",
+  "performers",
+  "performing",
+  "perilously",
+  "perimeters",
+  "periodical",
+  "peripheral",
+  "periscopes",
+  "perishable",
+  "permanence",
+  "permanents",
+  "permeating",
+  "permission",
+  "permissive",
+  "permitting",
+  "pernicious",
+  "peroxiding",
+  "perpetrate",
+  "perpetuals",
+  "perpetuate",
+  "perplexing",
+  "perplexity",
+  "persecuted",
+  "persecutes",
+  "persecutor",
+  "persevered",
+  "perseveres",
+  "persistent",
+  "persisting",
+  "personable",
+  "personally",
+  "perspiring",
+  "persuading",
+  "persuasion",
+  "persuasive",
+  "pertaining",
+  "perturbing",
+  "perversion",
+  "perverting",
+  "pessimists",
+  "pesticides",
+  "pestilence",
+  "petitioned",
+  "petrifying",
+  "petticoats",
+  "pharmacies",
+  "pharmacist",
+  "phenomenal",
+  "phenomenon",
+  "philosophy",
+  "phlegmatic",
+  "phonograph",
+  "phosphorus",
+  "photogenic",
+  "photograph",
+  "physically",
+  "physicians",
+  "physicists",
+  "physiology",
+  "pickpocket",
+  "picnicking",
+  "pictorials",
+  "pigeonhole",
+  "piggybacks",
+  "pilgrimage",
+  "pillowcase",
+  "pincushion",
+  "pineapples",
+  "pinpointed",
+  "pioneering",
+  "pirouetted",
+  "pirouettes",
+  "pistachios",
+  "pitchforks",
+  "placarding",
+  "plagiarism",
+  "plagiarist",
+  "plagiarize",
+  "plaintiffs",
+  "plantation",
+  "plastering",
+  "plateauing",
+  "platformed",
+  "platitudes",
+  "platooning",
+  "playground",
+  "playhouses",
+  "playthings",
+  "playwright",
+  "pleasanter",
+  "pleasantly",
+  "pleasantry",
+  "pleasuring",
+  "plummeting",
+  "plundering",
+  "pocketbook",
+  "pockmarked",
+  "poinsettia",
+  "polarizing",
+  "politeness",
+  "politician",
+  "pollinated",
+  "pollinates",
+  "pollutants",
+  "polygamous",
+  "polynomial",
+  "popularity",
+  "popularize",
+  "populating",
+  "population",
+  "porcupines",
+  "porpoising",
+  "portending",
+  "portfolios",
+  "portioning",
+  "portrayals",
+  "portraying",
+  "positional",
+  "positioned",
+  "positively",
+  "positivism",
+  "possessing",
+  "possession",
+  "possessive",
+  "possessors",
+  "posteriors",
+  "posthumous",
+  "postmarked",
+  "postmaster",
+  "postponing",
+  "postscript",
+  "postulated",
+  "postulates",
+  "powerfully",
+  "powerhouse",
+  "practicals",
+  "practicing",
+  "pragmatics",
+  "pragmatism",
+  "preambling",
+  "precarious",
+  "precaution",
+  "precedence",
+  "precedents",
+  "precipices",
+  "precluding",
+  "precocious",
+  "precursors",
+  "predefined",
+  "predicated",
+  "predicates",
+  "predicting",
+  "prediction",
+  "preeminent",
+  "preempting",
+  "prefabbing",
+  "preferable",
+  "preferably",
+  "preference",
+  "preferring",
+  "prejudiced",
+  "prejudices",
+  "premiering",
+  "prescribed",
+  "prescribes",
+  "presenting",
+  "preserving",
+  "presidency",
+  "presidents",
+  "pressuring",
+  "presumably",
+  "presuppose",
+  "pretenders",
+  "pretending",
+  "pretension",
+  "prevailing",
+  "prevalence",
+  "preventing",
+  "prevention",
+  "preventive",
+  "previewers",
+  "previewing",
+  "previously",
+  "prickliest",
+  "priesthood",
+  "primitives",
+  "princesses",
+  "principals",
+  "principles",
+  "priorities",
+  "privations",
+  "privatized",
+  "privatizes",
+  "privileged",
+  "privileges",
+  "procedural",
+  "procedures",
+  "proceeding",
+  "processing",
+  "procession",
+  "processors",
+  "proclaimed",
+  "prodigious",
+  "production",
+  "productive",
+  "professing",
+  "profession",
+  "professors",
+  "proffering",
+  "proficient",
+  "profitable",
+  "profiteers",
+  "profounder",
+  "profoundly",
+  "profundity",
+  "profusions",
+  "programmed",
+  "programmer",
+  "progressed",
+  "progresses",
+  "prohibited",
+  "projectile",
+  "projecting",
+  "projection",
+  "projectors",
+  "prolonging",
+  "promenaded",
+  "promenades",
+  "prominence",
+  "promontory",
+  "promotions",
+  "promptness",
+  "promulgate",
+  "pronounced",
+  "pronounces",
+  "proofreads",
+  "propaganda",
+  "propagated",
+  "propagates",
+  "propellers",
+  "propelling",
+  "propensity",
+  "properties",
+  "prophecies",
+  "prophesied",
+  "prophesies",
+  "proponents",
+  "proportion",
+  "proprietor",
+  "propulsion",
+  "prosecuted",
+  "prosecutes",
+  "prosecutor",
+  "prospected",
+  "prospector",
+  "prospectus",
+  "prospering",
+  "prosperity",
+  "prosperous",
+  "prostitute",
+  "prostrated",
+  "prostrates",
+  "protecting",
+  "protection",
+  "protective",
+  "protectors",
+  "protestant",
+  "protesting",
+  "prototypes",
+  "protracted",
+  "protractor",
+  "protruding",
+  "protrusion",
+  "provenance",
+  "proverbial",
+  "providence",
+  "provincial",
+  "provisions",
+  "pseudonyms",
+  "psychiatry",
+  "psychology",
+  "psychopath",
+  "publicized",
+  "publicizes",
+  "publishers",
+  "publishing",
+  "pugnacious",
+  "pulsations",
+  "pulverized",
+  "pulverizes",
+  "punctuated",
+  "punctuates",
+  "puncturing",
+  "punishable",
+  "punishment",
+  "purchasers",
+  "purchasing",
+  "purporting",
+  "purposeful",
+  "pyramiding",
+  "quadrangle",
+  "quadrupeds",
+  "quadrupled",
+  "quadruples",
+  "quadruplet",
+  "qualifiers",
+  "qualifying",
+  "quandaries",
+  "quantifier",
+  "quantities",
+  "quarantine",
+  "quarreling",
+  "quartering",
+  "queenliest",
+  "questioned",
+  "quickening",
+  "quicksands",
+  "quintuplet",
+  "quotations",
+  "racetracks",
+  "racketeers",
+  "radiations",
+  "ragamuffin",
+  "railroaded",
+  "rainstorms",
+  "ramrodding",
+  "ramshackle",
+  "randomness",
+  "ransacking",
+  "rationales",
+  "rationally",
+  "ravenously",
+  "readership",
+  "readjusted",
+  "reallocate",
+  "reappeared",
+  "rearranged",
+  "rearranges",
+  "reasonable",
+  "reasonably",
+  "reassuring",
+  "rebellions",
+  "rebellious",
+  "rebounding",
+  "rebuilding",
+  "recaptured",
+  "recaptures",
+  "receipting",
+  "receptacle",
+  "receptions",
+  "recessions",
+  "recharging",
+  "recipients",
+  "reciprocal",
+  "recitation",
+  "recklessly",
+  "reclaiming",
+  "recognized",
+  "recognizes",
+  "recollects",
+  "recommends",
+  "recompense",
+  "recompiled",
+  "reconciled",
+  "reconciles",
+  "reconnects",
+  "reconsider",
+  "recordings",
+  "recounting",
+  "recoveries",
+  "recovering",
+  "recreating",
+  "recreation",
+  "recruiting",
+  "rectangles",
+  "rectifying",
+  "recuperate",
+  "recurrence",
+  "redeemable",
+  "redefining",
+  "redemption",
+  "redesigned",
+  "redirected",
+  "rediscover",
+  "redressing",
+  "reductions",
+  "redundancy",
+  "reelecting",
+  "refereeing",
+  "referenced",
+  "references",
+  "referendum",
+  "refinement",
+  "refineries",
+  "reflecting",
+  "reflection",
+  "reflective",
+  "reflectors",
+  "reflexives",
+  "refraction",
+  "refraining",
+  "refreshing",
+  "refutation",
+  "regardless",
+  "regenerate",
+  "regimental",
+  "regimented",
+  "registered",
+  "registrars",
+  "registries",
+  "regressing",
+  "regression",
+  "regretting",
+  "regularity",
+  "regulating",
+  "regulation",
+  "rehearsals",
+  "rehearsing",
+  "reimbursed",
+  "reimburses",
+  "reinforced",
+  "reinforces",
+  "reinstated",
+  "reinstates",
+  "reiterated",
+  "reiterates",
+  "rejections",
+  "rejoinders",
+  "rejuvenate",
+  "relational",
+  "relatively",
+  "relativity",
+  "relaxation",
+  "releasable",
+  "relegating",
+  "relentless",
+  "relinquish",
+  "relocating",
+  "relocation",
+  "reluctance",
+  "remainders",
+  "remarkable",
+  "remarkably",
+  "remembered",
+  "reminisced",
+  "reminisces",
+  "remissions",
+  "remittance",
+  "remodeling",
+  "remorseful",
+  "remunerate",
+  "rendezvous",
+  "renditions",
+  "renegading",
+  "renouncing",
+  "renovating",
+  "renovation",
+  "reorganize",
+  "reparation",
+  "repatriate",
+  "repayments",
+  "repeatable",
+  "repeatedly",
+  "repellents",
+  "repentance",
+  "repertoire",
+  "repetition",
+  "repetitive",
+  "replicated",
+  "replicates",
+  "reportedly",
+  "repository",
+  "represents",
+  "repressing",
+  "repression",
+  "repressive",
+  "reprieving",
+  "reprimands",
+  "reprinting",
+  "reproached",
+  "reproaches",
+  "reproduced",
+  "reproduces",
+  "reprograms",
+  "republican",
+  "repudiated",
+  "repudiates",
+  "repugnance",
+  "reputation",
+  "requesting",
+  "requisites",
+  "reschedule",
+  "rescinding",
+  "researched",
+  "researcher",
+  "researches",
+  "resembling",
+  "resentment",
+  "reservoirs",
+  "residences",
+  "resilience",
+  "resistance",
+  "resolutely",
+  "resolution",
+  "resonances",
+  "resounding",
+  "respectful",
+  "respecting",
+  "respective",
+  "respirator",
+  "responding",
+  "responsive",
+  "restarting",
+  "restaurant",
+  "restfuller",
+  "restlessly",
+  "restrained",
+  "restraints",
+  "restricted",
+  "resultants",
+  "resumption",
+  "resurfaced",
+  "resurfaces",
+  "resurgence",
+  "resurrects",
+  "retaliated",
+  "retaliates",
+  "retirement",
+  "retracting",
+  "retraction",
+  "retreating",
+  "retrievals",
+  "retrievers",
+  "retrieving",
+  "retrograde",
+  "retrospect",
+  "returnable",
+  "revelation",
+  "revengeful",
+  "reverenced",
+  "reverences",
+  "reverently",
+  "reversible",
+  "revisiting",
+  "revolution",
+  "rhapsodies",
+  "rhetorical",
+  "rheumatism",
+  "rhinoceros",
+  "ricketiest",
+  "ricocheted",
+  "ridiculing",
+  "ridiculous",
+  "rightfully",
+  "rigorously",
+  "ringleader",
+  "roadblocks",
+  "robustness",
+  "rotisserie",
+  "roughening",
+  "roughhouse",
+  "roundabout",
+  "rubbishing",
+  "ruminating",
+  "ruthlessly",
+  "sabbatical",
+  "sabotaging",
+  "sacraments",
+  "sacrificed",
+  "sacrifices",
+  "sacrileges",
+  "safeguards",
+  "saintliest",
+  "saleswoman",
+  "saleswomen",
+  "salivating",
+  "salutation",
+  "sanatorium",
+  "sanctified",
+  "sanctifies",
+  "sanctioned",
+  "sandbagged",
+  "sandpapers",
+  "sandstorms",
+  "sandwiched",
+  "sandwiches",
+  "sanitarium",
+  "sanitation",
+  "satellited",
+  "satellites",
+  "satirizing",
+  "satisfying",
+  "saturating",
+  "saturation",
+  "sauerkraut",
+  "sauntering",
+  "savageries",
+  "saxophones",
+  "scalloping",
+  "scampering",
+  "scandalize",
+  "scandalous",
+  "scapegoats",
+  "scarecrows",
+  "scattering",
+  "scavengers",
+  "scheduling",
+  "scholastic",
+  "schoolboys",
+  "scientific",
+  "scientists",
+  "scoundrels",
+  "scrambling",
+  "scrapbooks",
+  "scratchier",
+  "scratching",
+  "scrawniest",
+  "screeching",
+  "scribbling",
+  "scriptures",
+  "scrounging",
+  "scruffiest",
+  "scrupulous",
+  "scrutinize",
+  "sculptured",
+  "sculptures",
+  "scurrilous",
+  "seamstress",
+  "seasonable",
+  "seasonings",
+  "secretions",
+  "sectioning",
+  "securities",
+  "seductions",
+  "segmenting",
+  "segregated",
+  "segregates",
+  "selections",
+  "semblances",
+  "semicircle",
+  "semicolons",
+  "semifinals",
+  "seminaries",
+  "sensations",
+  "sensitives",
+  "sensuality",
+  "sentencing",
+  "sentiments",
+  "separately",
+  "separating",
+  "separation",
+  "separators",
+  "sepulchers",
+  "sequencing",
+  "sequential",
+  "serenading",
+  "serviceman",
+  "servicemen",
+  "serviettes",
+  "settlement",
+  "seventeens",
+  "severances",
+  "shadowiest",
+  "shallowest",
+  "shamefully",
+  "shampooing",
+  "shapeliest",
+  "sharpeners",
+  "sharpening",
+  "shattering",
+  "sheepishly",
+  "sheltering",
+  "shepherded",
+  "shimmering",
+  "shipwrecks",
+  "shoestring",
+  "shopkeeper",
+  "shoplifter",
+  "shortening",
+  "shotgunned",
+  "shouldered",
+  "showcasing",
+  "shrewdness",
+  "shriveling",
+  "shuddering",
+  "shuttering",
+  "sicknesses",
+  "sidelining",
+  "sidetracks",
+  "signatures",
+  "signifying",
+  "signposted",
+  "silhouette",
+  "silverware",
+  "similarity",
+  "simplicity",
+  "simplified",
+  "simplifies",
+  "simplistic",
+  "simulating",
+  "simulation",
+  "singularly",
+  "sisterhood",
+  "situations",
+  "sixteenths",
+  "skateboard",
+  "skepticism",
+  "sketchiest",
+  "skinflints",
+  "skippering",
+  "skirmished",
+  "skirmishes",
+  "skyrockets",
+  "skyscraper",
+  "slackening",
+  "slandering",
+  "slaughters",
+  "sleeveless",
+  "slenderest",
+  "slingshots",
+  "slipperier",
+  "slithering",
+  "slobbering",
+  "slovenlier",
+  "slumbering",
+  "smattering",
+  "smokestack",
+  "smoldering",
+  "smoothness",
+  "smothering",
+  "snickering",
+  "snorkeling",
+  "snowballed",
+  "snowdrifts",
+  "snowflakes",
+  "snowplowed",
+  "snowstorms",
+  "socialists",
+  "socialized",
+  "socializes",
+  "sojourning",
+  "soldiering",
+  "soliciting",
+  "solicitors",
+  "solicitous",
+  "solidarity",
+  "solidified",
+  "solidifies",
+  "solitaires",
+  "solitaries",
+  "somebodies",
+  "somersault",
+  "somethings",
+  "sophomores",
+  "sororities",
+  "soundproof",
+  "soundtrack",
+  "southerner",
+  "sovereigns",
+  "spacecraft",
+  "spaceships",
+  "spattering",
+  "spearheads",
+  "specialist",
+  "specialize",
+  "specifying",
+  "spectacles",
+  "spectators",
+  "speculated",
+  "speculates",
+  "speculator",
+  "speechless",
+  "speedboats",
+  "spellbinds",
+  "spellbound",
+  "spindliest",
+  "spirituals",
+  "splattered",
+  "splendider",
+  "splendidly",
+  "splintered",
+  "sponsoring",
+  "spotlights",
+  "springiest",
+  "springtime",
+  "sprinklers",
+  "sprinkling",
+  "sputtering",
+  "squabbling",
+  "squalidest",
+  "squandered",
+  "squeakiest",
+  "squelching",
+  "squirreled",
+  "stabilized",
+  "stabilizes",
+  "stagecoach",
+  "staggering",
+  "stagnating",
+  "stagnation",
+  "staircases",
+  "stalemated",
+  "stalemates",
+  "stammering",
+  "stampeding",
+  "standpoint",
+  "standstill",
+  "starchiest",
+  "starfishes",
+  "starvation",
+  "stateliest",
+  "statements",
+  "stationary",
+  "stationery",
+  "stationing",
+  "statistics",
+  "staunchest",
+  "staunching",
+  "stealthier",
+  "stealthily",
+  "stenciling",
+  "stepladder",
+  "stereotype",
+  "sterilized",
+  "sterilizes",
+  "stewardess",
+  "stewarding",
+  "stiffening",
+  "stimulants",
+  "stimulated",
+  "stimulates",
+  "stinginess",
+  "stipulated",
+  "stipulates",
+  "stockading",
+  "stockpiled",
+  "stockpiles",
+  "stockyards",
+  "stomaching",
+  "stoppering",
+  "storehouse",
+  "storerooms",
+  "straddling",
+  "stragglers",
+  "straggling",
+  "straighten",
+  "straighter",
+  "strangling",
+  "stratagems",
+  "strategies",
+  "stratified",
+  "stratifies",
+  "strawberry",
+  "streamline",
+  "streetcars",
+  "strengthen",
+  "stretchers",
+  "stretching",
+  "strictness",
+  "stringiest",
+  "stronghold",
+  "structural",
+  "structured",
+  "structures",
+  "struggling",
+  "stubborner",
+  "stupefying",
+  "stupendous",
+  "stuttering",
+  "subdivided",
+  "subdivides",
+  "subjecting",
+  "subjective",
+  "subjugated",
+  "subjugates",
+  "subletting",
+  "submarines",
+  "submerging",
+  "submersion",
+  "submission",
+  "submissive",
+  "submitting",
+  "subprogram",
+  "subroutine",
+  "subscribed",
+  "subscriber",
+  "subscribes",
+  "subscripts",
+  "subsection",
+  "subsequent",
+  "subsidiary",
+  "subsidized",
+  "subsidizes",
+  "subsisting",
+  "substances",
+  "substitute",
+  "subterfuge",
+  "subtleties",
+  "subtracted",
+  "subversive",
+  "subverting",
+  "succeeding",
+  "successful",
+  "succession",
+  "successive",
+  "successors",
+  "succincter",
+  "succinctly",
+  "succulents",
+  "succumbing",
+  "suctioning",
+  "sufferings",
+  "sufficient",
+  "suffocated",
+  "suffocates",
+  "suggesting",
+  "suggestion",
+  "suggestive",
+  "summarized",
+  "summarizes",
+  "summonsing",
+  "sunbathing",
+  "sunburning",
+  "sunflowers",
+  "sunglasses",
+  "sunscreens",
+  "suntanning",
+  "superhuman",
+  "superseded",
+  "supersedes",
+  "supersonic",
+  "superstars",
+  "supervised",
+  "supervises",
+  "supervisor",
+  "supplanted",
+  "supplement",
+  "supporters",
+  "supporting",
+  "supportive",
+  "supposedly",
+  "suppressed",
+  "suppresses",
+  "surcharged",
+  "surcharges",
+  "surfboards",
+  "surmounted",
+  "surpassing",
+  "surplussed",
+  "surprising",
+  "surrenders",
+  "surrounded",
+  "suspecting",
+  "suspenders",
+  "suspending",
+  "suspension",
+  "suspicions",
+  "suspicious",
+  "sustaining",
+  "sustenance",
+  "swaggering",
+  "swallowing",
+  "swarthiest",
+  "sweetening",
+  "sweetheart",
+  "switchable",
+  "syllabuses",
+  "symbolized",
+  "symbolizes",
+  "sympathies",
+  "sympathize",
+  "symphonies",
+  "synagogues",
+  "syndicated",
+  "syndicates",
+  "synonymous",
+  "synthesize",
+  "synthetics",
+  "systematic",
+  "tabernacle",
+  "tablecloth",
+  "tablespoon",
+  "tabulating",
+  "tabulation",
+  "tactlessly",
+  "tailgating",
+  "taillights",
+  "tambourine",
+  "tangential",
+  "tangerines",
+  "tantalized",
+  "tantalizes",
+  "tantamount",
+  "tapestries",
+  "tarantulas",
+  "tarnishing",
+  "tarpaulins",
+  "tastefully",
+  "technician",
+  "techniques",
+  "technology",
+  "teetotaler",
+  "telegraphs",
+  "telepathic",
+  "telephoned",
+  "telephones",
+  "telescoped",
+  "telescopes",
+  "televising",
+  "television",
+  "temperance",
+  "temptation",
+  "tendencies",
+  "tenderized",
+  "tenderizes",
+  "tenderness",
+  "terminally",
+  "terminated",
+  "terminates",
+  "terminator",
+  "terrifying",
+  "terrorists",
+  "terrorized",
+  "terrorizes",
+  "testaments",
+  "testifying",
+  "thankfully",
+  "theatrical",
+  "themselves",
+  "theologian",
+  "theologies",
+  "theorizing",
+  "therapists",
+  "thereafter",
+  "thermostat",
+  "thickening",
+  "thirstiest",
+  "thirteenth",
+  "thirtieths",
+  "thorougher",
+  "thoroughly",
+  "thoughtful",
+  "thousandth",
+  "threadbare",
+  "threatened",
+  "thresholds",
+  "thriftiest",
+  "throttling",
+  "throughout",
+  "throughput",
+  "throwbacks",
+  "thumbtacks",
+  "thundering",
+  "thunderous",
+  "tightening",
+  "tightropes",
+  "timekeeper",
+  "timescales",
+  "timetables",
+  "titillated",
+  "titillates",
+  "toadstools",
+  "tobogganed",
+  "tolerances",
+  "tolerating",
+  "tomahawked",
+  "tombstones",
+  "toothaches",
+  "toothbrush",
+  "toothpaste",
+  "toothpicks",
+  "topography",
+  "tormenting",
+  "tormentors",
+  "torpedoing",
+  "torrential",
+  "totalities",
+  "touchdowns",
+  "toughening",
+  "tournament",
+  "tourniquet",
+  "trademarks",
+  "traditions",
+  "trafficked",
+  "tragically",
+  "traitorous",
+  "trampoline",
+  "tranquiler",
+  "transacted",
+  "transcends",
+  "transcribe",
+  "transcript",
+  "transforms",
+  "transgress",
+  "transients",
+  "transistor",
+  "transiting",
+  "transition",
+  "transitive",
+  "transitory",
+  "translated",
+  "translates",
+  "translator",
+  "transpired",
+  "transpires",
+  "transplant",
+  "transports",
+  "transposed",
+  "transposes",
+  "transverse",
+  "trapezoids",
+  "traumatize",
+  "travelings",
+  "traversing",
+  "travestied",
+  "travesties",
+  "treadmills",
+  "treasurers",
+  "treasuries",
+  "treasuring",
+  "treatments",
+  "trellising",
+  "tremendous",
+  "trespassed",
+  "trespasser",
+  "trespasses",
+  "triangular",
+  "tricksters",
+  "triggering",
+  "trimesters",
+  "triplicate",
+  "triumphant",
+  "triumphing",
+  "triviality",
+  "trumpeting",
+  "truncating",
+  "truncation",
+  "truthfully",
+  "tumultuous",
+  "tunnelings",
+  "turbulence",
+  "turnaround",
+  "turnstiles",
+  "turntables",
+  "turpentine",
+  "turquoises",
+  "turtleneck",
+  "twentieths",
+  "twittering",
+  "typescript",
+  "typesetter",
+  "typewriter",
+  "tyrannical",
+  "tyrannized",
+  "tyrannizes",
+  "ubiquitous",
+  "ultimately",
+  "ultimatums",
+  "ultrasonic",
+  "unaccepted",
+  "unaffected",
+  "unanswered",
+  "unassigned",
+  "unassuming",
+  "unattached",
+  "unattended",
+  "unbalanced",
+  "unbearable",
+  "unbearably",
+  "unbeatable",
+  "unbecoming",
+  "unbeliever",
+  "unblocking",
+  "unburdened",
+  "uncanniest",
+  "uncleanest",
+  "uncommoner",
+  "uncovering",
+  "uncultured",
+  "undecideds",
+  "undeniable",
+  "undeniably",
+  "underbrush",
+  "undercover",
+  "undergoing",
+  "underlined",
+  "underlines",
+  "underlying",
+  "undermined",
+  "undermines",
+  "underneath",
+  "underpants",
+  "underrated",
+  "underrates",
+  "underscore",
+  "undershirt",
+  "undersides",
+  "understand",
+  "understate",
+  "understood",
+  "understudy",
+  "undertaken",
+  "undertaker",
+  "undertakes",
+  "undertones",
+  "underwater",
+  "underworld",
+  "underwrite",
+  "underwrote",
+  "undeserved",
+  "undetected",
+  "undressing",
+  "unearthing",
+  "uneasiness",
+  "uneconomic",
+  "uneducated",
+  "unemployed",
+  "uneventful",
+  "unexpected",
+  "unfaithful",
+  "unfamiliar",
+  "unfastened",
+  "unfeasible",
+  "unfinished",
+  "unforeseen",
+  "unfriendly",
+  "ungainlier",
+  "ungodliest",
+  "ungrateful",
+  "unhappiest",
+  "uniforming",
+  "uniformity",
+  "unilateral",
+  "uninformed",
+  "uninspired",
+  "unintended",
+  "unionizing",
+  "uniqueness",
+  "universals",
+  "university",
+  "unkindlier",
+  "unleashing",
+  "unlikelier",
+  "unluckiest",
+  "unmodified",
+  "unoccupied",
+  "unofficial",
+  "unoriginal",
+  "unorthodox",
+  "unpleasant",
+  "unprepared",
+  "unprovoked",
+  "unraveling",
+  "unreadable",
+  "unreliable",
+  "unresolved",
+  "unsanitary",
+  "unscrewing",
+  "unseemlier",
+  "unsettling",
+  "unsoundest",
+  "unsuitable",
+  "untangling",
+  "unwieldier",
+  "unworkable",
+  "unwrapping",
+  "upbringing",
+  "upholsters",
+  "upholstery",
+  "upstanding",
+  "upstarting",
+  "usefulness",
+  "utterances",
+  "vacationed",
+  "vaccinated",
+  "vaccinates",
+  "vacillated",
+  "vacillates",
+  "vagabonded",
+  "valentines",
+  "validating",
+  "validation",
+  "vandalized",
+  "vandalizes",
+  "vanquished",
+  "vanquishes",
+  "vaporizing",
+  "variations",
+  "varnishing",
+  "vegetables",
+  "vegetarian",
+  "vegetation",
+  "vehemently",
+  "velocities",
+  "venerating",
+  "veneration",
+  "ventilated",
+  "ventilates",
+  "ventilator",
+  "ventricles",
+  "vernacular",
+  "vertebrate",
+  "vertically",
+  "vestibules",
+  "veterinary",
+  "vibrations",
+  "victimized",
+  "victimizes",
+  "victorious",
+  "videotaped",
+  "videotapes",
+  "viewpoints",
+  "vigilantes",
+  "vigorously",
+  "villainies",
+  "villainous",
+  "vindicated",
+  "vindicates",
+  "vindictive",
+  "violations",
+  "virtuously",
+  "visibility",
+  "visitation",
+  "visualized",
+  "visualizes",
+  "vocabulary",
+  "vocational",
+  "vociferous",
+  "volleyball",
+  "voluminous",
+  "volunteers",
+  "voluptuous",
+  "vulnerable",
+  "waistlines",
+  "waitresses",
+  "wallpapers",
+  "warehoused",
+  "warehouses",
+  "warrantied",
+  "warranties",
+  "warranting",
+  "washcloths",
+  "wastefully",
+  "wastelands",
+  "watchwords",
+  "watercolor",
+  "waterfalls",
+  "waterfront",
+  "watermarks",
+  "watermelon",
+  "waterproof",
+  "watersheds",
+  "watertight",
+  "waterworks",
+  "wavelength",
+  "weaknesses",
+  "wealthiest",
+  "weathering",
+  "weekending",
+  "weightiest",
+  "wellington",
+  "werewolves",
+  "westerlies",
+  "whatsoever",
+  "wheelchair",
+  "whimpering",
+  "whirlpools",
+  "whirlwinds",
+  "whispering",
+  "wholesaled",
+  "wholesaler",
+  "wholesales",
+  "wickedness",
+  "widespread",
+  "wildcatted",
+  "wilderness",
+  "windmilled",
+  "windowpane",
+  "windscreen",
+  "windshield",
+  "wintertime",
+  "wisecracks",
+  "witchcraft",
+  "withdrawal",
+  "withstands",
+  "witnessing",
+  "witticisms",
+  "wonderland",
+  "woodchucks",
+  "woodpecker",
+  "worldliest",
+  "worshipers",
+  "worshiping",
+  "worthwhile",
+  "wretcheder",
+  "wristwatch",
+  "wrongdoers",
+  "wrongdoing",
+  "xenophobia",
+  "xylophones",
+  "yardsticks",
+  "yesterdays",
+  "youngsters",
+  "yourselves",
+  "zigzagging",
+  "zoological",
+  "zoologists"
+];
+
+/**
+ * Other accepted 10-letter guesses
+ * Total: 3114 words
+ */
+export const VALID_GUESSES_LIST = [
+  "abductions",
+  "abjuration",
+  "abnegating",
+  "abnegation",
+  "abominably",
+  "abominated",
+  "abominates",
+  "abrasively",
+  "abridgment",
+  "abrogating",
+  "abrogation",
+  "abruptness",
+  "absolution",
+  "absolutism",
+  "absorbency",
+  "abstainers",
+  "abstemious",
+  "abstractly",
+  "abstrusely",
+  "academical",
+  "acanthuses",
+  "accessibly",
+  "accessions",
+  "accretions",
+  "accusative",
+  "accusatory",
+  "accusingly",
+  "achromatic",
+  "acidifying",
+  "acoustical",
+  "acquirable",
+  "actionable",
+  "activation",
+  "actualized",
+  "actualizes",
+  "adjacently",
+  "adjectival",
+  "adjudicate",
+  "adjuration",
+  "admiringly",
+  "admixtures",
+  "admonitory",
+  "adrenaline",
+  "adroitness",
+  "adulterant",
+  "adulterers",
+  "adulteress",
+  "adulterous",
+  "adumbrated",
+  "adumbrates",
+  "advisement",
+  "aerialists",
+  "aerobatics",
+  "aesthetics",
+  "affability",
+  "affluently",
+  "afforested",
+  "aficionado",
+  "afterbirth",
+  "afterglows",
+  "aftershave",
+  "aftershock",
+  "aftertaste",
+  "afterwords",
+  "aggrandize",
+  "aggrieving",
+  "agronomist",
+  "airbrushed",
+  "airbrushes",
+  "airdropped",
+  "airlifting",
+  "alchemists",
+  "alderwoman",
+  "alderwomen",
+  "alimentary",
+  "alkalinity",
+  "allergenic",
+  "allergists",
+  "allusively",
+  "altimeters",
+  "amanuenses",
+  "amanuensis",
+  "amateurism",
+  "ambulatory",
+  "ameliorate",
+  "amiability",
+  "amortizing",
+  "amplitudes",
+  "anatomists",
+  "ancestress",
+  "anchorites",
+  "anemometer",
+  "angiosperm",
+  "angleworms",
+  "angularity",
+  "animatedly",
+  "anointment",
+  "antebellum",
+  "antecedent",
+  "antedating",
+  "anthracite",
+  "anthropoid",
+  "antiheroes",
+  "antimatter",
+  "antipastos",
+  "antiphonal",
+  "antitoxins",
+  "antivirals",
+  "aphoristic",
+  "apocalypse",
+  "apolitical",
+  "apologists",
+  "apoplectic",
+  "apoplexies",
+  "apostasies",
+  "apothecary",
+  "apotheoses",
+  "apotheosis",
+  "appellants",
+  "appertains",
+  "applesauce",
+  "appointive",
+  "apportions",
+  "appositely",
+  "apposition",
+  "appositive",
+  "appraisers",
+  "aquaplaned",
+  "aquaplanes",
+  "arabesques",
+  "arboretums",
+  "arborvitae",
+  "archangels",
+  "archdeacon",
+  "archetypes",
+  "archivists",
+  "arrogating",
+  "arrowheads",
+  "artfulness",
+  "arthropods",
+  "artificers",
+  "ascendancy",
+  "ascendants",
+  "asceticism",
+  "ascribable",
+  "ascription",
+  "asperities",
+  "aspirating",
+  "assailable",
+  "assemblage",
+  "asseverate",
+  "assignable",
+  "asthmatics",
+  "astigmatic",
+  "astrologer",
+  "astronomic",
+  "astuteness",
+  "asymmetric",
+  "asymptotic",
+  "atrophying",
+  "attainable",
+  "attenuated",
+  "attenuates",
+  "atypically",
+  "audibility",
+  "audiophile",
+  "autoimmune",
+  "automatons",
+  "autopilots",
+  "autoworker",
+  "aviatrices",
+  "aviatrixes",
+  "avocations",
+  "awakenings",
+  "ayatollahs",
+  "babysitter",
+  "bacchanals",
+  "backbiters",
+  "backbiting",
+  "backbitten",
+  "backboards",
+  "backdating",
+  "backfields",
+  "backpacker",
+  "backpedals",
+  "backslider",
+  "backslides",
+  "backspaced",
+  "backspaces",
+  "backstairs",
+  "backstroke",
+  "backwaters",
+  "badmouthed",
+  "bafflement",
+  "bagatelles",
+  "bailiwicks",
+  "balalaikas",
+  "balderdash",
+  "balladeers",
+  "balloonist",
+  "ballplayer",
+  "ballpoints",
+  "ballyhooed",
+  "balustrade",
+  "banalities",
+  "bandoleers",
+  "banishment",
+  "bankrolled",
+  "baptistery",
+  "barbarisms",
+  "barberries",
+  "barbershop",
+  "barefooted",
+  "barehanded",
+  "bareheaded",
+  "barnstorms",
+  "barometric",
+  "baronesses",
+  "barracudas",
+  "barrenness",
+  "baseboards",
+  "bassoonist",
+  "bastardize",
+  "bathhouses",
+  "battlement",
+  "bayberries",
+  "bazillions",
+  "beachheads",
+  "beastliest",
+  "beatifying",
+  "beatitudes",
+  "beautifier",
+  "becomingly",
+  "bedazzling",
+  "bedeviling",
+  "bedfellows",
+  "bedraggled",
+  "bedraggles",
+  "beefburger",
+  "beefsteaks",
+  "beekeepers",
+  "beekeeping",
+  "befuddling",
+  "beleaguers",
+  "belladonna",
+  "bellwether",
+  "bellyached",
+  "bellyaches",
+  "benchmarks",
+  "beneficent",
+  "besmirched",
+  "besmirches",
+  "bespeaking",
+  "bestiaries",
+  "bestirring",
+  "bestridden",
+  "bestriding",
+  "bestseller",
+  "bethinking",
+  "betokening",
+  "betrothing",
+  "biannually",
+  "bicyclists",
+  "biennially",
+  "bifurcated",
+  "bifurcates",
+  "bighearted",
+  "billionths",
+  "binoculars",
+  "biochemist",
+  "biomedical",
+  "biophysics",
+  "biorhythms",
+  "biospheres",
+  "birdhouses",
+  "birthrates",
+  "birthright",
+  "birthstone",
+  "bisections",
+  "bishoprics",
+  "bituminous",
+  "bivouacked",
+  "biweeklies",
+  "blackballs",
+  "blackguard",
+  "blackthorn",
+  "blarneying",
+  "blasphemer",
+  "blindsided",
+  "blindsides",
+  "blockhouse",
+  "bloodbaths",
+  "bloodstain",
+  "blotchiest",
+  "bluebottle",
+  "bluefishes",
+  "bluejacket",
+  "blunderers",
+  "boardrooms",
+  "boatswains",
+  "bombardier",
+  "bombshells",
+  "bookmakers",
+  "bookmaking",
+  "bookmobile",
+  "bookseller",
+  "bookstores",
+  "boondoggle",
+  "bootblacks",
+  "bootlegger",
+  "bootstraps",
+  "borderland",
+  "bowdlerize",
+  "bowstrings",
+  "boyishness",
+  "brainchild",
+  "brawniness",
+  "brazenness",
+  "breadfruit",
+  "breastbone",
+  "breastwork",
+  "breathable",
+  "breathiest",
+  "breeziness",
+  "breviaries",
+  "bridgehead",
+  "bridgework",
+  "brigandage",
+  "brigantine",
+  "brilliancy",
+  "briquettes",
+  "bristliest",
+  "broadcloth",
+  "broadsword",
+  "brokerages",
+  "brontosaur",
+  "broomstick",
+  "brownstone",
+  "brutalized",
+  "brutalizes",
+  "buccaneers",
+  "buckboards",
+  "bucketfuls",
+  "buckyballs",
+  "budgerigar",
+  "buffoonery",
+  "bullheaded",
+  "bunkhouses",
+  "burgeoning",
+  "burglarize",
+  "burlesqued",
+  "burlesques",
+  "bushwhacks",
+  "butteriest",
+  "butternuts",
+  "byproducts",
+  "cablecasts",
+  "cablegrams",
+  "cadaverous",
+  "calabashes",
+  "calamitous",
+  "calcifying",
+  "calculable",
+  "calibrator",
+  "calipering",
+  "caliphates",
+  "calumniate",
+  "camcorders",
+  "campaniles",
+  "campground",
+  "candelabra",
+  "candidness",
+  "cannabises",
+  "cannonaded",
+  "cannonades",
+  "cannonball",
+  "canonizing",
+  "cantilever",
+  "canvasback",
+  "caparisons",
+  "cappuccino",
+  "carbonated",
+  "carbonates",
+  "carbuncles",
+  "carcinogen",
+  "carcinomas",
+  "cardiogram",
+  "cardiology",
+  "cardsharps",
+  "caregivers",
+  "carjackers",
+  "carjacking",
+  "carnelians",
+  "carpetbags",
+  "caseworker",
+  "castigator",
+  "castration",
+  "casualness",
+  "catafalque",
+  "cataleptic",
+  "catalogers",
+  "catalyzing",
+  "catamarans",
+  "catatonics",
+  "catchwords",
+  "catechized",
+  "catechizes",
+  "caterwauls",
+  "cathartics",
+  "cauterized",
+  "cauterizes",
+  "cautionary",
+  "cavalcades",
+  "cavalryman",
+  "cavalrymen",
+  "celebrants",
+  "censorious",
+  "centerfold",
+  "centigrade",
+  "centigrams",
+  "centiliter",
+  "centurions",
+  "cerebellum",
+  "chainsawed",
+  "chairlifts",
+  "chairwoman",
+  "chairwomen",
+  "chalkboard",
+  "chamomiles",
+  "chanceries",
+  "changeling",
+  "chaparrals",
+  "chaplaincy",
+  "charbroils",
+  "charioteer",
+  "charmingly",
+  "chartreuse",
+  "chatterers",
+  "chattiness",
+  "chauvinism",
+  "cheapskate",
+  "checkbooks",
+  "checkering",
+  "checklists",
+  "checkmated",
+  "checkmates",
+  "checkrooms",
+  "cheekbones",
+  "cheekiness",
+  "cheeriness",
+  "cheesecake",
+  "chessboard",
+  "chickadees",
+  "chickenpox",
+  "chilblains",
+  "childishly",
+  "childproof",
+  "chilliness",
+  "chimerical",
+  "chinchilla",
+  "chinstraps",
+  "chintziest",
+  "chirruping",
+  "chlorinate",
+  "choppiness",
+  "chopsticks",
+  "choristers",
+  "chronicler",
+  "chubbiness",
+  "chuckholes",
+  "chumminess",
+  "chunkiness",
+  "churchgoer",
+  "churchyard",
+  "churlishly",
+  "cicatrices",
+  "cigarillos",
+  "citronella",
+  "clamminess",
+  "clampdowns",
+  "clapboards",
+  "clarioning",
+  "classicism",
+  "classicist",
+  "classiness",
+  "clavichord",
+  "clematises",
+  "clerestory",
+  "clinicians",
+  "clitorises",
+  "cloakrooms",
+  "clobbering",
+  "clodhopper",
+  "cloudiness",
+  "cloverleaf",
+  "clownishly",
+  "coagulants",
+  "coauthored",
+  "cockamamie",
+  "cockfights",
+  "cockscombs",
+  "cocksucker",
+  "coffeecake",
+  "coffeepots",
+  "cogitating",
+  "cogitation",
+  "cognizance",
+  "cohabiting",
+  "cohesively",
+  "coiffuring",
+  "coincident",
+  "collations",
+  "collegians",
+  "collieries",
+  "collocated",
+  "collocates",
+  "colloquies",
+  "colloquium",
+  "colonizers",
+  "colonnades",
+  "coloration",
+  "coloratura",
+  "colorblind",
+  "colorfully",
+  "colossally",
+  "columbines",
+  "columnists",
+  "comedienne",
+  "comeliness",
+  "comforters",
+  "commentate",
+  "commingled",
+  "commingles",
+  "commissars",
+  "commissary",
+  "committals",
+  "commodious",
+  "communally",
+  "compactors",
+  "comparably",
+  "compatibly",
+  "compendium",
+  "competency",
+  "complainer",
+  "complected",
+  "complicity",
+  "comporting",
+  "compositor",
+  "compressor",
+  "concertina",
+  "concierges",
+  "concordant",
+  "concretely",
+  "concubines",
+  "condensers",
+  "conduction",
+  "conductive",
+  "confabbing",
+  "conferment",
+  "confessors",
+  "confidante",
+  "confluence",
+  "conformist",
+  "confusedly",
+  "confusions",
+  "congenital",
+  "congestive",
+  "congruence",
+  "conjoining",
+  "connivance",
+  "conscripts",
+  "consensual",
+  "consonance",
+  "constables",
+  "constipate",
+  "contiguity",
+  "continence",
+  "contraltos",
+  "contrarily",
+  "contritely",
+  "contrition",
+  "controvert",
+  "contusions",
+  "conundrums",
+  "convergent",
+  "copulating",
+  "copycatted",
+  "copywriter",
+  "coquetting",
+  "coquettish",
+  "cordiality",
+  "cormorants",
+  "cornflower",
+  "cornrowing",
+  "cornstalks",
+  "cornucopia",
+  "corpulence",
+  "corrugated",
+  "corrugates",
+  "coruscated",
+  "coruscates",
+  "cosmically",
+  "cosponsors",
+  "costarring",
+  "costliness",
+  "cotillions",
+  "cottonseed",
+  "cotyledons",
+  "councilman",
+  "councilmen",
+  "courtesans",
+  "courtliest",
+  "covetously",
+  "cowpuncher",
+  "crabbiness",
+  "crackdowns",
+  "craftiness",
+  "crankcases",
+  "crankiness",
+  "crankshaft",
+  "crawlspace",
+  "creameries",
+  "creaminess",
+  "creditably",
+  "creepiness",
+  "crematoria",
+  "creosoting",
+  "cricketers",
+  "crinkliest",
+  "crinolines",
+  "croissants",
+  "croquettes",
+  "crossbeams",
+  "crossbones",
+  "crossbreed",
+  "crosscheck",
+  "crossfires",
+  "crossovers",
+  "crosspiece",
+  "crowdfunds",
+  "cruciforms",
+  "crunchiest",
+  "cryogenics",
+  "cryptogram",
+  "cubbyholes",
+  "cuckolding",
+  "cultivator",
+  "cummerbund",
+  "curlicuing",
+  "curmudgeon",
+  "currycombs",
+  "curvaceous",
+  "cuttlefish",
+  "cyberbully",
+  "cybernetic",
+  "cyberpunks",
+  "cyberspace",
+  "cyclically",
+  "cyclotrons",
+  "daintiness",
+  "dairymaids",
+  "dalliances",
+  "dalmatians",
+  "dartboards",
+  "datelining",
+  "davenports",
+  "daydreamer",
+  "deactivate",
+  "deadliness",
+  "deadpanned",
+  "dealership",
+  "deathblows",
+  "deathtraps",
+  "debauching",
+  "debentures",
+  "debonairly",
+  "decadently",
+  "decathlons",
+  "decelerate",
+  "decimation",
+  "declaiming",
+  "declassify",
+  "decolonize",
+  "decompress",
+  "decorously",
+  "decrements",
+  "decryption",
+  "deductible",
+  "deescalate",
+  "defacement",
+  "defaulters",
+  "defeatists",
+  "defecation",
+  "defections",
+  "deferments",
+  "defilement",
+  "deflectors",
+  "defoliants",
+  "defoliated",
+  "defoliates",
+  "deforested",
+  "defrosters",
+  "degeneracy",
+  "dehumanize",
+  "dehumidify",
+  "dejectedly",
+  "deleverage",
+  "delineated",
+  "delineates",
+  "deliverers",
+  "delphinium",
+  "demarcated",
+  "demarcates",
+  "dementedly",
+  "demitasses",
+  "demobilize",
+  "demography",
+  "demoniacal",
+  "denaturing",
+  "denigrated",
+  "denigrates",
+  "denominate",
+  "denotation",
+  "denouement",
+  "dentifrice",
+  "deodorizer",
+  "dependably",
+  "depictions",
+  "depilatory",
+  "deplorably",
+  "deployment",
+  "depopulate",
+  "deposition",
+  "depositors",
+  "depository",
+  "depressant",
+  "depressive",
+  "deprograms",
+  "deputation",
+  "deputizing",
+  "deregulate",
+  "derisively",
+  "dermatitis",
+  "derogating",
+  "derogation",
+  "derringers",
+  "desalinate",
+  "descanting",
+  "desertions",
+  "deservedly",
+  "desiccated",
+  "desiccates",
+  "desiderata",
+  "desolately",
+  "despicably",
+  "despoiling",
+  "destructed",
+  "detainment",
+  "determiner",
+  "deterrence",
+  "detestable",
+  "detoxified",
+  "detoxifies",
+  "detraction",
+  "detractors",
+  "devilishly",
+  "deviltries",
+  "devotional",
+  "devoutness",
+  "dewberries",
+  "diacritics",
+  "diaphanous",
+  "dietitians",
+  "diffidence",
+  "digressive",
+  "dilettante",
+  "dillydally",
+  "diminuendo",
+  "diminution",
+  "dipsomania",
+  "dirigibles",
+  "disabusing",
+  "disaffects",
+  "disarrange",
+  "disavowals",
+  "disbarment",
+  "disbarring",
+  "discomfits",
+  "discommode",
+  "discompose",
+  "discoverer",
+  "discursive",
+  "discussant",
+  "disembowel",
+  "disenchant",
+  "disgorging",
+  "disharmony",
+  "dishcloths",
+  "disheveled",
+  "dishtowels",
+  "disincline",
+  "disloyally",
+  "disobliged",
+  "disobliges",
+  "disorients",
+  "dispatcher",
+  "dispirited",
+  "disporting",
+  "disputable",
+  "disputants",
+  "dissembled",
+  "dissembles",
+  "dissidence",
+  "dissuasion",
+  "distension",
+  "distention",
+  "distillate",
+  "disuniting",
+  "divination",
+  "divisional",
+  "divisively",
+  "doctorates",
+  "docudramas",
+  "dogcatcher",
+  "doggedness",
+  "dogmatists",
+  "dogtrotted",
+  "dollhouses",
+  "dominantly",
+  "domineered",
+  "doohickeys",
+  "doughtiest",
+  "dovetailed",
+  "downloaded",
+  "downplayed",
+  "downsizing",
+  "downswings",
+  "doxologies",
+  "draftiness",
+  "dragooning",
+  "drainpipes",
+  "drawstring",
+  "dreadlocks",
+  "dreariness",
+  "dressiness",
+  "drolleries",
+  "dumbwaiter",
+  "duplicator",
+  "dyspeptics",
+  "earthiness",
+  "earthlings",
+  "earthworks",
+  "easterners",
+  "ebullience",
+  "ecotourism",
+  "effacement",
+  "effectuate",
+  "effeminacy",
+  "effervesce",
+  "effrontery",
+  "effulgence",
+  "eggbeaters",
+  "eglantines",
+  "eiderdowns",
+  "elderberry",
+  "elongation",
+  "elucidated",
+  "elucidates",
+  "emaciating",
+  "emaciation",
+  "emanations",
+  "emasculate",
+  "embezzlers",
+  "emblazoned",
+  "emblematic",
+  "emboldened",
+  "embroiling",
+  "embryology",
+  "emendation",
+  "emollients",
+  "emoluments",
+  "empathetic",
+  "empathized",
+  "empathizes",
+  "empiricism",
+  "employable",
+  "emulsified",
+  "emulsifies",
+  "encampment",
+  "enchanters",
+  "enchiladas",
+  "encrusting",
+  "encyclical",
+  "endocrines",
+  "energizers",
+  "energizing",
+  "enervating",
+  "enervation",
+  "enfeebling",
+  "engagingly",
+  "enraptured",
+  "enraptures",
+  "ensconcing",
+  "enshrouded",
+  "enthroning",
+  "entombment",
+  "entourages",
+  "entrapment",
+  "enumerable",
+  "envisioned",
+  "epicenters",
+  "epicureans",
+  "epiglottis",
+  "episcopacy",
+  "episcopate",
+  "epistolary",
+  "epitomized",
+  "epitomizes",
+  "equability",
+  "equalizers",
+  "equivocate",
+  "ergonomics",
+  "erotically",
+  "escarpment",
+  "escutcheon",
+  "espadrille",
+  "esplanades",
+  "estimators",
+  "estranging",
+  "ethereally",
+  "ethnically",
+  "etiologies",
+  "eucalyptus",
+  "eulogistic",
+  "evanescent",
+  "evangelize",
+  "evenhanded",
+  "eventfully",
+  "eventuated",
+  "eventuates",
+  "everglades",
+  "everyplace",
+  "eviscerate",
+  "evocations",
+  "exactingly",
+  "exactitude",
+  "excavators",
+  "exchequers",
+  "excitation",
+  "excitingly",
+  "excoriated",
+  "excoriates",
+  "excretions",
+  "exculpated",
+  "exculpates",
+  "execrating",
+  "exhalation",
+  "exhibitors",
+  "exhumation",
+  "exigencies",
+  "exoplanets",
+  "exorcising",
+  "exotically",
+  "expatiated",
+  "expatiates",
+  "expedience",
+  "expediters",
+  "expertness",
+  "explicated",
+  "explicates",
+  "exploiters",
+  "expository",
+  "expurgated",
+  "expurgates",
+  "extendable",
+  "extenuated",
+  "extenuates",
+  "extirpated",
+  "extirpates",
+  "extractors",
+  "extrusions",
+  "exultantly",
+  "eyeglasses",
+  "fabulously",
+  "factitious",
+  "fairground",
+  "fairylands",
+  "falterings",
+  "familiarly",
+  "fanaticism",
+  "fancifully",
+  "fantasized",
+  "fantasizes",
+  "farmhouses",
+  "farsighted",
+  "fastnesses",
+  "fatherless",
+  "fathomable",
+  "fathomless",
+  "faultiness",
+  "federating",
+  "feebleness",
+  "felicities",
+  "felicitous",
+  "ferryboats",
+  "fetchingly",
+  "fetishists",
+  "fiberboard",
+  "fickleness",
+  "filibuster",
+  "filmmakers",
+  "filmstrips",
+  "filterable",
+  "filthiness",
+  "filtrating",
+  "filtration",
+  "fingerings",
+  "firebombed",
+  "firebrands",
+  "firebreaks",
+  "firefights",
+  "firehouses",
+  "firestorms",
+  "firmaments",
+  "firstborns",
+  "fishtailed",
+  "fisticuffs",
+  "flabbiness",
+  "flagellate",
+  "flagstaffs",
+  "flashbulbs",
+  "flashiness",
+  "flatfishes",
+  "flatfooted",
+  "flatulence",
+  "flavorless",
+  "fleetingly",
+  "fleshliest",
+  "flintlocks",
+  "flippantly",
+  "floodgates",
+  "floorboard",
+  "flophouses",
+  "floppiness",
+  "flotations",
+  "flowerbeds",
+  "flowerpots",
+  "fluffiness",
+  "flummoxing",
+  "fluoresced",
+  "fluoresces",
+  "fluoridate",
+  "flycatcher",
+  "flyspecked",
+  "flyswatter",
+  "flyweights",
+  "footballer",
+  "footbridge",
+  "footlocker",
+  "forecaster",
+  "forecastle",
+  "foreclosed",
+  "forecloses",
+  "foreordain",
+  "forfeiture",
+  "forgathers",
+  "forgivable",
+  "formidably",
+  "formlessly",
+  "fornicated",
+  "fornicates",
+  "forsythias",
+  "fortissimo",
+  "fortnights",
+  "foursquare",
+  "foxtrotted",
+  "fragrantly",
+  "franchisee",
+  "franchiser",
+  "fratricide",
+  "freebasing",
+  "freebooter",
+  "freeholder",
+  "freelanced",
+  "freelancer",
+  "freelances",
+  "freeloaded",
+  "freeloader",
+  "freestyles",
+  "freewheels",
+  "frenziedly",
+  "fricasseed",
+  "fricassees",
+  "friendless",
+  "fripperies",
+  "friskiness",
+  "frolicsome",
+  "frostiness",
+  "fructified",
+  "fructifies",
+  "fruitcakes",
+  "fruitfully",
+  "fulminated",
+  "fulminates",
+  "fumigators",
+  "funereally",
+  "fungicidal",
+  "funiculars",
+  "furbishing",
+  "fusillades",
+  "fussbudget",
+  "futurities",
+  "gabardines",
+  "gaberdines",
+  "gainsaying",
+  "gallstones",
+  "gamekeeper",
+  "gangrenous",
+  "garbageman",
+  "gargantuan",
+  "garishness",
+  "garnisheed",
+  "garnishees",
+  "gastronomy",
+  "gazetteers",
+  "gazillions",
+  "gearshifts",
+  "gearwheels",
+  "gelatinous",
+  "generative",
+  "gentlefolk",
+  "gentrified",
+  "gentrifies",
+  "genuflects",
+  "geocaching",
+  "geocentric",
+  "geographer",
+  "geophysics",
+  "geothermal",
+  "geriatrics",
+  "germicidal",
+  "gesundheit",
+  "ghostwrite",
+  "ghostwrote",
+  "giantesses",
+  "gigapixels",
+  "gingersnap",
+  "gingivitis",
+  "gloominess",
+  "glossiness",
+  "gluttonous",
+  "goaltender",
+  "goldbricks",
+  "gondoliers",
+  "gooseberry",
+  "gorgeously",
+  "governable",
+  "governance",
+  "grammarian",
+  "granulated",
+  "granulates",
+  "graphology",
+  "graybeards",
+  "greasiness",
+  "greensward",
+  "grenadiers",
+  "grievously",
+  "grogginess",
+  "groundhogs",
+  "groundings",
+  "grubbiness",
+  "grudgingly",
+  "gruesomely",
+  "grumpiness",
+  "guarantied",
+  "guaranties",
+  "guardhouse",
+  "guardrails",
+  "guardrooms",
+  "guiltiness",
+  "guitarists",
+  "gunnysacks",
+  "gunrunners",
+  "gunrunning",
+  "gunslinger",
+  "gymnosperm",
+  "habituated",
+  "habituates",
+  "hacktivist",
+  "hailstorms",
+  "hairpieces",
+  "hairspring",
+  "hairstyles",
+  "hammerhead",
+  "hammerings",
+  "handcrafts",
+  "handmaiden",
+  "handpicked",
+  "handsomely",
+  "handspring",
+  "handstands",
+  "hankerings",
+  "harbingers",
+  "hardcovers",
+  "hardheaded",
+  "harlequins",
+  "hatchbacks",
+  "hatcheries",
+  "hauntingly",
+  "haversacks",
+  "headboards",
+  "headhunter",
+  "headwaiter",
+  "headwaters",
+  "hearkening",
+  "heartiness",
+  "heartlands",
+  "heartthrob",
+  "heathenish",
+  "heatstroke",
+  "heavenward",
+  "hectically",
+  "hedonistic",
+  "heedlessly",
+  "heliotrope",
+  "hematology",
+  "hemorrhoid",
+  "henpecking",
+  "herbaceous",
+  "herbalists",
+  "herbicides",
+  "herbivores",
+  "heretofore",
+  "hermitages",
+  "heroically",
+  "hesitantly",
+  "heterodoxy",
+  "heuristics",
+  "hexameters",
+  "hibiscuses",
+  "hiccoughed",
+  "highchairs",
+  "hightailed",
+  "highwayman",
+  "highwaymen",
+  "hijackings",
+  "histamines",
+  "histograms",
+  "histrionic",
+  "hobnailing",
+  "hollowness",
+  "hollyhocks",
+  "holographs",
+  "holography",
+  "homebodies",
+  "homecoming",
+  "homeliness",
+  "homemakers",
+  "homeopathy",
+  "homeowners",
+  "homographs",
+  "homophobia",
+  "homophones",
+  "honorarium",
+  "honorifics",
+  "horseflies",
+  "horsetails",
+  "horsewhips",
+  "horsewoman",
+  "horsewomen",
+  "hospitably",
+  "hostelries",
+  "housebound",
+  "housebreak",
+  "housebroke",
+  "houseclean",
+  "housecoats",
+  "houseflies",
+  "housemaids",
+  "houseplant",
+  "housewares",
+  "hovercraft",
+  "huckstered",
+  "humaneness",
+  "humanistic",
+  "humanizers",
+  "humbleness",
+  "humbugging",
+  "humdingers",
+  "humidifier",
+  "humpbacked",
+  "huntresses",
+  "hybridized",
+  "hybridizes",
+  "hydrangeas",
+  "hydrofoils",
+  "hydrolysis",
+  "hydrometer",
+  "hydroponic",
+  "hygienists",
+  "hygrometer",
+  "hyperbolas",
+  "hyperbolic",
+  "hyperlinks",
+  "hyperspace",
+  "hypodermic",
+  "hysteresis",
+  "iconoclast",
+  "ideographs",
+  "ideologist",
+  "idolatrous",
+  "ignominies",
+  "ignorantly",
+  "illegality",
+  "illumining",
+  "imaginably",
+  "imbalanced",
+  "imbecility",
+  "imbroglios",
+  "immaturely",
+  "immemorial",
+  "immobility",
+  "immoderate",
+  "immodestly",
+  "immolating",
+  "immolation",
+  "immortally",
+  "immunology",
+  "impalement",
+  "impalpable",
+  "impaneling",
+  "impeccably",
+  "impenitent",
+  "imperially",
+  "impishness",
+  "implacably",
+  "implosions",
+  "impolitely",
+  "importuned",
+  "importunes",
+  "imposingly",
+  "impostures",
+  "impotently",
+  "impresario",
+  "imprimatur",
+  "improvable",
+  "imprudence",
+  "impudently",
+  "imputation",
+  "inamoratas",
+  "incautious",
+  "incisively",
+  "incivility",
+  "inclemency",
+  "inconstant",
+  "inculcated",
+  "inculcates",
+  "inculpated",
+  "inculpates",
+  "incumbency",
+  "incursions",
+  "indecently",
+  "indecorous",
+  "indelicacy",
+  "indentured",
+  "indentures",
+  "indictable",
+  "indolently",
+  "inductance",
+  "inebriated",
+  "inebriates",
+  "ineducable",
+  "inelegance",
+  "inequities",
+  "infallibly",
+  "infamously",
+  "infarction",
+  "infatuated",
+  "infatuates",
+  "infielders",
+  "infighting",
+  "infinitude",
+  "inflecting",
+  "inflexibly",
+  "infliction",
+  "inglorious",
+  "inhalation",
+  "inhalators",
+  "inheritors",
+  "inhumanely",
+  "inimically",
+  "inimitable",
+  "inimitably",
+  "iniquities",
+  "iniquitous",
+  "innovating",
+  "innovators",
+  "inoperable",
+  "inpatients",
+  "inquietude",
+  "inquisitor",
+  "insatiably",
+  "insecurely",
+  "inseminate",
+  "insensible",
+  "insensibly",
+  "insentient",
+  "insightful",
+  "insolently",
+  "insolvable",
+  "insomniacs",
+  "insouciant",
+  "instigator",
+  "insularity",
+  "insurgence",
+  "insurgency",
+  "intangibly",
+  "integrator",
+  "integument",
+  "intentness",
+  "interbreed",
+  "interdicts",
+  "interfaith",
+  "interferon",
+  "interlaced",
+  "interlaces",
+  "interlards",
+  "interleave",
+  "interlinks",
+  "intermezzi",
+  "intermezzo",
+  "internists",
+  "internment",
+  "internship",
+  "interstice",
+  "interurban",
+  "intoxicant",
+  "intrepidly",
+  "invalidity",
+  "inveighing",
+  "inveigling",
+  "invincibly",
+  "inviolable",
+  "invitingly",
+  "ionization",
+  "ionosphere",
+  "irresolute",
+  "irruptions",
+  "isometrics",
+  "isomorphic",
+  "jackhammer",
+  "jackrabbit",
+  "jaggedness",
+  "jailbreaks",
+  "janitorial",
+  "jauntiness",
+  "jawbreaker",
+  "jellybeans",
+  "jingoistic",
+  "jinrikisha",
+  "jitterbugs",
+  "jockstraps",
+  "jocularity",
+  "journalese",
+  "journeyman",
+  "journeymen",
+  "joyfulness",
+  "joyousness",
+  "jubilantly",
+  "judgmental",
+  "judicature",
+  "kettledrum",
+  "keybinding",
+  "keyboarder",
+  "keypunched",
+  "keypunches",
+  "kickstands",
+  "kilocycles",
+  "kindliness",
+  "kinematics",
+  "knickknack",
+  "knockwurst",
+  "kohlrabies",
+  "kookaburra",
+  "lachrymose",
+  "ladyfinger",
+  "lagniappes",
+  "lamaseries",
+  "lambasting",
+  "lamebrains",
+  "lamentably",
+  "laminating",
+  "lamination",
+  "lampshades",
+  "landholder",
+  "landlubber",
+  "landmasses",
+  "landscaper",
+  "lapidaries",
+  "latecomers",
+  "laughingly",
+  "launderers",
+  "laundryman",
+  "laundrymen",
+  "lavishness",
+  "lawbreaker",
+  "lawfulness",
+  "lawrencium",
+  "laypersons",
+  "leaseholds",
+  "legitimize",
+  "leguminous",
+  "leitmotifs",
+  "leprechaun",
+  "lesbianism",
+  "leukocytes",
+  "leviathans",
+  "levitating",
+  "levitation",
+  "liberality",
+  "liberators",
+  "libertines",
+  "libidinous",
+  "librettist",
+  "licentiate",
+  "licentious",
+  "lifesavers",
+  "lifesaving",
+  "ligaturing",
+  "lineaments",
+  "linebacker",
+  "lingerings",
+  "lipreading",
+  "liquidator",
+  "liquidized",
+  "liquidizes",
+  "listlessly",
+  "lithograph",
+  "litigating",
+  "littleness",
+  "livability",
+  "liverwurst",
+  "lobotomies",
+  "lodestones",
+  "loganberry",
+  "logarithms",
+  "loggerhead",
+  "logistical",
+  "logrolling",
+  "lookalikes",
+  "lopsidedly",
+  "loquacious",
+  "lorgnettes",
+  "loudmouths",
+  "lovemaking",
+  "lubricator",
+  "lugubrious",
+  "lumberyard",
+  "luminosity",
+  "luminously",
+  "lunchrooms",
+  "lunchtimes",
+  "lusciously",
+  "luxuriance",
+  "macerating",
+  "maceration",
+  "mackintosh",
+  "macrocosms",
+  "magnifiers",
+  "maharajahs",
+  "maharishis",
+  "maidenhair",
+  "maidenhead",
+  "maidenhood",
+  "mainlining",
+  "mainspring",
+  "majorettes",
+  "malcontent",
+  "malefactor",
+  "malingered",
+  "malingerer",
+  "malodorous",
+  "mammalians",
+  "mammograms",
+  "manservant",
+  "manumitted",
+  "marathoner",
+  "margaritas",
+  "marginalia",
+  "marinading",
+  "marquesses",
+  "mastectomy",
+  "masterwork",
+  "masturbate",
+  "matchboxes",
+  "matchstick",
+  "materially",
+  "maternally",
+  "matriarchy",
+  "matricides",
+  "maturation",
+  "maundering",
+  "mayflowers",
+  "meadowlark",
+  "meagerness",
+  "measurably",
+  "meatloaves",
+  "meditative",
+  "megachurch",
+  "megacycles",
+  "megapixels",
+  "mellowness",
+  "membranous",
+  "menacingly",
+  "mendacious",
+  "mendicants",
+  "meningitis",
+  "menopausal",
+  "mercerized",
+  "mercerizes",
+  "mergansers",
+  "merrymaker",
+  "mesmerized",
+  "mesmerizes",
+  "metabolize",
+  "metacarpal",
+  "metacarpus",
+  "metastases",
+  "metastasis",
+  "metatarsal",
+  "meteoroids",
+  "metrically",
+  "metronomes",
+  "mettlesome",
+  "microchips",
+  "microcosms",
+  "microloans",
+  "microscopy",
+  "middlebrow",
+  "midshipman",
+  "midshipmen",
+  "mightiness",
+  "militantly",
+  "militarism",
+  "militarist",
+  "militarize",
+  "militiaman",
+  "militiamen",
+  "milkshakes",
+  "millennial",
+  "millennium",
+  "milliliter",
+  "millipedes",
+  "millstones",
+  "mimeograph",
+  "minefields",
+  "mineralogy",
+  "minestrone",
+  "miniseries",
+  "miniskirts",
+  "ministrant",
+  "minuteness",
+  "mirthfully",
+  "misapplied",
+  "misapplies",
+  "miscalling",
+  "miscasting",
+  "mischances",
+  "miscounted",
+  "miscreants",
+  "misdealing",
+  "misgoverns",
+  "mishandled",
+  "mishandles",
+  "mishmashes",
+  "mismanaged",
+  "mismanages",
+  "misogynist",
+  "misplaying",
+  "misstating",
+  "mistreated",
+  "mitigation",
+  "mizzenmast",
+  "modernists",
+  "modifiable",
+  "modishness",
+  "modulators",
+  "moisturize",
+  "molybdenum",
+  "monarchism",
+  "monarchist",
+  "monetarily",
+  "monetizing",
+  "moneymaker",
+  "monographs",
+  "monomaniac",
+  "monophonic",
+  "monopolist",
+  "monotheism",
+  "monotheist",
+  "monsignors",
+  "monstrance",
+  "moonscapes",
+  "moonshines",
+  "moonstones",
+  "moonstruck",
+  "moralistic",
+  "moralizing",
+  "moroseness",
+  "mortgagees",
+  "mortgagors",
+  "morticians",
+  "motherland",
+  "motherless",
+  "motivators",
+  "motorbiked",
+  "motorboats",
+  "motormouth",
+  "mountebank",
+  "mournfully",
+  "mousetraps",
+  "mozzarella",
+  "muckrakers",
+  "muckraking",
+  "mudslinger",
+  "mulberries",
+  "mulishness",
+  "multimedia",
+  "multiplier",
+  "multiverse",
+  "munificent",
+  "musicology",
+  "musketeers",
+  "muskmelons",
+  "mutability",
+  "mutinously",
+  "mystically",
+  "nanosecond",
+  "narcissism",
+  "narcissist",
+  "nasalizing",
+  "nasturtium",
+  "naturalism",
+  "nautically",
+  "nautiluses",
+  "necromancy",
+  "negativity",
+  "negligibly",
+  "neoclassic",
+  "neologisms",
+  "nethermost",
+  "nettlesome",
+  "newsworthy",
+  "nighthawks",
+  "nightshade",
+  "nightshirt",
+  "nightstick",
+  "nihilistic",
+  "nimbleness",
+  "nitpickers",
+  "nitpicking",
+  "noisemaker",
+  "nonaligned",
+  "nondrinker",
+  "nonesuches",
+  "nonmembers",
+  "nonpareils",
+  "nonpayment",
+  "nonplussed",
+  "nonsmokers",
+  "nonsmoking",
+  "nonsupport",
+  "nontaxable",
+  "nonviolent",
+  "normalized",
+  "normalizes",
+  "northbound",
+  "northerner",
+  "northwards",
+  "nosediving",
+  "notarizing",
+  "notionally",
+  "novelettes",
+  "novitiates",
+  "numberless",
+  "numerating",
+  "numeration",
+  "numerology",
+  "numismatic",
+  "nurseryman",
+  "nurserymen",
+  "nuthatches",
+  "obdurately",
+  "obeisances",
+  "obfuscated",
+  "obfuscates",
+  "obligingly",
+  "obsequious",
+  "observably",
+  "obsessives",
+  "obtuseness",
+  "occidental",
+  "occlusions",
+  "oceangoing",
+  "offloading",
+  "offshoring",
+  "oftentimes",
+  "oleaginous",
+  "oligarchic",
+  "omnivorous",
+  "opalescent",
+  "opaqueness",
+  "openhanded",
+  "ophthalmic",
+  "opprobrium",
+  "orangeades",
+  "oratorical",
+  "organelles",
+  "ornateness",
+  "orthopedic",
+  "oscillator",
+  "osteopaths",
+  "osteopathy",
+  "outbalance",
+  "outbidding",
+  "outcropped",
+  "outfielder",
+  "outfitters",
+  "outflanked",
+  "outperform",
+  "outplaying",
+  "outpouring",
+  "outranking",
+  "outreached",
+  "outreaches",
+  "outriggers",
+  "outselling",
+  "outsourced",
+  "outsources",
+  "outspreads",
+  "outstaying",
+  "outstretch",
+  "outwearing",
+  "overacting",
+  "overactive",
+  "overbooked",
+  "overcooked",
+  "overdrafts",
+  "overexpose",
+  "overextend",
+  "overgrowth",
+  "overjoying",
+  "overmuches",
+  "overpaying",
+  "overplayed",
+  "overshared",
+  "overshares",
+  "overspends",
+  "overspread",
+  "overstayed",
+  "overstocks",
+  "oversupply",
+  "overtaxing",
+  "overthinks",
+  "oxygenated",
+  "oxygenates",
+  "pacesetter",
+  "pachyderms",
+  "paginating",
+  "painkiller",
+  "paintbrush",
+  "palavering",
+  "palimpsest",
+  "palindrome",
+  "palliating",
+  "palliation",
+  "palliative",
+  "palpitated",
+  "palpitates",
+  "paltriness",
+  "panegyrics",
+  "pantaloons",
+  "pantheists",
+  "papergirls",
+  "paralegals",
+  "parallaxes",
+  "paramecium",
+  "paramedics",
+  "paranormal",
+  "paraplegia",
+  "paratroops",
+  "parboiling",
+  "parqueting",
+  "parricides",
+  "pasteboard",
+  "pastorates",
+  "patchiness",
+  "paternally",
+  "pathogenic",
+  "patriarchy",
+  "patricians",
+  "patricides",
+  "patronymic",
+  "pauperized",
+  "pauperizes",
+  "paymasters",
+  "peccadillo",
+  "pedagogues",
+  "pedicuring",
+  "pedometers",
+  "pejorative",
+  "penetrable",
+  "peninsular",
+  "penitently",
+  "penologist",
+  "pentameter",
+  "pentathlon",
+  "peppercorn",
+  "pepperonis",
+  "percentile",
+  "perceptual",
+  "perfidious",
+  "pericardia",
+  "perihelion",
+  "peritoneum",
+  "periwinkle",
+  "permafrost",
+  "peroration",
+  "perpetuity",
+  "perquisite",
+  "persiflage",
+  "persimmons",
+  "personages",
+  "pertinence",
+  "perversely",
+  "perversity",
+  "petitioner",
+  "petrolatum",
+  "petulantly",
+  "pharyngeal",
+  "pheromones",
+  "philanders",
+  "philatelic",
+  "philippics",
+  "philistine",
+  "phonically",
+  "phosphates",
+  "phosphoric",
+  "phrenology",
+  "physicking",
+  "pianissimo",
+  "pianoforte",
+  "picaresque",
+  "piccalilli",
+  "picnickers",
+  "pictograph",
+  "piercingly",
+  "pillorying",
+  "pilothouse",
+  "pimpernels",
+  "pinfeather",
+  "pinstriped",
+  "pinstripes",
+  "pinwheeled",
+  "pipsqueaks",
+  "pistillate",
+  "pitilessly",
+  "placements",
+  "placentals",
+  "plasterers",
+  "plasticity",
+  "platypuses",
+  "playacting",
+  "pleasingly",
+  "plebiscite",
+  "plenitudes",
+  "pliability",
+  "plowshares",
+  "pluckiness",
+  "plunderers",
+  "pluperfect",
+  "pluralized",
+  "pluralizes",
+  "plutocracy",
+  "plutocrats",
+  "pocketfuls",
+  "podcasting",
+  "podiatrist",
+  "poetically",
+  "poignantly",
+  "poisonings",
+  "polarities",
+  "politicize",
+  "polonaises",
+  "polyesters",
+  "polygamist",
+  "polygraphs",
+  "polyhedron",
+  "polyphonic",
+  "polytheism",
+  "polytheist",
+  "pompadours",
+  "pontifical",
+  "poorhouses",
+  "porringers",
+  "portcullis",
+  "portentous",
+  "portliness",
+  "postdating",
+  "postmodern",
+  "postmortem",
+  "postpartum",
+  "potbellied",
+  "potbellies",
+  "potboilers",
+  "potentates",
+  "potentials",
+  "potholders",
+  "potpourris",
+  "poulticing",
+  "powerboats",
+  "pragmatist",
+  "pranksters",
+  "preachiest",
+  "prearrange",
+  "preceptors",
+  "preciosity",
+  "preciously",
+  "preclusion",
+  "predecease",
+  "predestine",
+  "predictive",
+  "predispose",
+  "preemption",
+  "preemptive",
+  "preexisted",
+  "prefecture",
+  "preferment",
+  "prefigured",
+  "prefigures",
+  "preheating",
+  "prehensile",
+  "prehistory",
+  "prejudging",
+  "premarital",
+  "preordains",
+  "prepackage",
+  "prepayment",
+  "prepossess",
+  "prerecords",
+  "preschools",
+  "prescience",
+  "preservers",
+  "presetting",
+  "preshrinks",
+  "pressurize",
+  "presumable",
+  "prettified",
+  "prettifies",
+  "prettiness",
+  "priestlier",
+  "primordial",
+  "princelier",
+  "principled",
+  "prioresses",
+  "prioritize",
+  "prissiness",
+  "privateers",
+  "prizefight",
+  "proclivity",
+  "procreated",
+  "procreates",
+  "proctoring",
+  "procurator",
+  "profitably",
+  "profligacy",
+  "profligate",
+  "progenitor",
+  "prognostic",
+  "promissory",
+  "promptings",
+  "pronghorns",
+  "propellant",
+  "propertied",
+  "prophetess",
+  "propitiate",
+  "propitious",
+  "propounded",
+  "propulsive",
+  "proscenium",
+  "proscribed",
+  "proscribes",
+  "proselyted",
+  "proselytes",
+  "prostheses",
+  "prosthesis",
+  "prosthetic",
+  "protesters",
+  "protoplasm",
+  "protozoans",
+  "prudential",
+  "psychotics",
+  "ptarmigans",
+  "pubescence",
+  "publicists",
+  "pugilistic",
+  "punctually",
+  "puppeteers",
+  "purgatives",
+  "puritanism",
+  "purloining",
+  "pussyfoots",
+  "putrefying",
+  "putrescent",
+  "puzzlement",
+  "pyromaniac",
+  "quadrature",
+  "quadriceps",
+  "quadrilles",
+  "quaintness",
+  "quantified",
+  "quantifies",
+  "queasiness",
+  "quesadilla",
+  "questioner",
+  "quiescence",
+  "quintupled",
+  "quintuples",
+  "rabbinical",
+  "racecourse",
+  "racehorses",
+  "raconteurs",
+  "radicalism",
+  "radiograms",
+  "raggediest",
+  "raggedness",
+  "railleries",
+  "rainmakers",
+  "rakishness",
+  "randomized",
+  "randomizes",
+  "ratcheting",
+  "rattletrap",
+  "raunchiest",
+  "ravishment",
+  "reactivate",
+  "readmitted",
+  "reaffirmed",
+  "realizable",
+  "reanimated",
+  "reanimates",
+  "reapplying",
+  "reappoints",
+  "reappraise",
+  "rearmament",
+  "reassemble",
+  "reasserted",
+  "reassessed",
+  "reassesses",
+  "reassigned",
+  "reawakened",
+  "receivable",
+  "recessives",
+  "rechecking",
+  "recidivism",
+  "recidivist",
+  "recitative",
+  "reckonings",
+  "reclassify",
+  "recognizer",
+  "recombined",
+  "recombines",
+  "recommence",
+  "reconquers",
+  "reconvened",
+  "reconvenes",
+  "recruiters",
+  "rectifiers",
+  "recyclable",
+  "redbreasts",
+  "redecorate",
+  "rededicate",
+  "redeployed",
+  "redevelops",
+  "redistrict",
+  "redoubling",
+  "redounding",
+  "redrafting",
+  "reeducated",
+  "reeducates",
+  "reelection",
+  "reemerging",
+  "reenacting",
+  "reenlisted",
+  "reentering",
+  "reevaluate",
+  "reexamined",
+  "reexamines",
+  "refashions",
+  "refillable",
+  "refinanced",
+  "refinances",
+  "refinished",
+  "refinishes",
+  "refocusing",
+  "reforested",
+  "refracting",
+  "refractory",
+  "refreshers",
+  "refulgence",
+  "refundable",
+  "regionally",
+  "registrant",
+  "regressive",
+  "regrouping",
+  "regularize",
+  "regulators",
+  "regulatory",
+  "reimposing",
+  "reinserted",
+  "reinvented",
+  "reinvested",
+  "rejoicings",
+  "rekindling",
+  "relabeling",
+  "relearning",
+  "relegation",
+  "relevantly",
+  "remarriage",
+  "remarrying",
+  "remediable",
+  "remissness",
+  "remortgage",
+  "remoteness",
+  "remounting",
+  "renascence",
+  "renderings",
+  "renovators",
+  "renumbered",
+  "reoccupied",
+  "reoccupies",
+  "reoccurred",
+  "reordering",
+  "repackaged",
+  "repackages",
+  "repainting",
+  "repairable",
+  "repeatably",
+  "rephrasing",
+  "reprehends",
+  "reprobates",
+  "reproofing",
+  "reptilians",
+  "rescission",
+  "reservedly",
+  "reservists",
+  "resettling",
+  "reshuffled",
+  "reshuffles",
+  "resignedly",
+  "resiliency",
+  "resonantly",
+  "resonating",
+  "resonators",
+  "respelling",
+  "respondent",
+  "restocking",
+  "restudying",
+  "resupplied",
+  "resupplies",
+  "retardants",
+  "rethinking",
+  "retouching",
+  "retraining",
+  "retreading",
+  "retrenched",
+  "retrenches",
+  "retrogress",
+  "retweeting",
+  "reunifying",
+  "revealings",
+  "revilement",
+  "revitalize",
+  "revivalist",
+  "revivified",
+  "revivifies",
+  "revocation",
+  "rewindable",
+  "rhapsodize",
+  "rheumatics",
+  "rhinestone",
+  "rhythmical",
+  "riboflavin",
+  "ridgepoles",
+  "rigmaroles",
+  "ringmaster",
+  "riverfront",
+  "riversides",
+  "roadhouses",
+  "roadrunner",
+  "roadworthy",
+  "robocalled",
+  "roisterers",
+  "roistering",
+  "rollicking",
+  "rosebushes",
+  "rotational",
+  "rottenness",
+  "rotundness",
+  "roughnecks",
+  "roundelays",
+  "roundhouse",
+  "roundworms",
+  "roustabout",
+  "routinized",
+  "routinizes",
+  "rubberized",
+  "rubberizes",
+  "rubberneck",
+  "ruggedness",
+  "rumination",
+  "runarounds",
+  "rustically",
+  "rustproofs",
+  "saccharine",
+  "sacerdotal",
+  "sacredness",
+  "sacristans",
+  "sacristies",
+  "sacrosanct",
+  "saddlebags",
+  "safflowers",
+  "sailboards",
+  "sailfishes",
+  "salamander",
+  "salesclerk",
+  "salesgirls",
+  "salivation",
+  "salmonella",
+  "saltcellar",
+  "saltshaker",
+  "salubrious",
+  "sandalwood",
+  "sandblasts",
+  "sandcastle",
+  "sandpipers",
+  "sanguinary",
+  "sanitizing",
+  "saprophyte",
+  "sapsuckers",
+  "sarcophagi",
+  "satinwoods",
+  "savageness",
+  "scantiness",
+  "scarceness",
+  "scarifying",
+  "scathingly",
+  "scavenging",
+  "scenically",
+  "schedulers",
+  "schematics",
+  "schismatic",
+  "schlemiels",
+  "schlepping",
+  "schmoozing",
+  "schnauzers",
+  "schoolbook",
+  "schooldays",
+  "schoolgirl",
+  "schoolmarm",
+  "schoolmate",
+  "schoolroom",
+  "schoolwork",
+  "schoolyard",
+  "scintillas",
+  "scoreboard",
+  "scorecards",
+  "scornfully",
+  "scrabbling",
+  "scragglier",
+  "scramblers",
+  "scrappiest",
+  "screechier",
+  "screenings",
+  "screenplay",
+  "screenshot",
+  "screwballs",
+  "scribblers",
+  "scrimmaged",
+  "scrimmages",
+  "scrimshaws",
+  "scriptural",
+  "scroungers",
+  "scrubbiest",
+  "scrunchies",
+  "scrunching",
+  "sculleries",
+  "sculptural",
+  "scuppering",
+  "seamanship",
+  "seasonally",
+  "secondhand",
+  "sectarians",
+  "sectionals",
+  "secularism",
+  "secularize",
+  "seemliness",
+  "seersucker",
+  "seismology",
+  "selflessly",
+  "semaphored",
+  "semaphores",
+  "semiannual",
+  "seminarian",
+  "semiweekly",
+  "senatorial",
+  "sensitized",
+  "sensitizes",
+  "sensuously",
+  "separatism",
+  "separatist",
+  "septicemia",
+  "sepulchral",
+  "sequencers",
+  "sequesters",
+  "sereneness",
+  "serialized",
+  "serializes",
+  "sermonized",
+  "sermonizes",
+  "serpentine",
+  "seventieth",
+  "shabbiness",
+  "shagginess",
+  "shakedowns",
+  "shamefaced",
+  "shanghaied",
+  "shantytown",
+  "sheathings",
+  "sheepfolds",
+  "sheepskins",
+  "shellacked",
+  "shenanigan",
+  "shibboleth",
+  "shiftiness",
+  "shillelagh",
+  "shipboards",
+  "shipwright",
+  "shirttails",
+  "shirtwaist",
+  "shockingly",
+  "shockproof",
+  "shoddiness",
+  "shoehorned",
+  "shoemakers",
+  "shoeshines",
+  "shopaholic",
+  "shoplifted",
+  "shorelines",
+  "shortbread",
+  "shortcakes",
+  "shortfalls",
+  "shorthorns",
+  "shortstops",
+  "shortwaves",
+  "shovelfuls",
+  "showboated",
+  "showpieces",
+  "showplaces",
+  "shrillness",
+  "shrinkable",
+  "shrubbiest",
+  "shutterbug",
+  "sideboards",
+  "sidelights",
+  "sidesaddle",
+  "sidestroke",
+  "sideswiped",
+  "sideswipes",
+  "sightseers",
+  "signalized",
+  "signalizes",
+  "signboards",
+  "silverfish",
+  "simpleness",
+  "simpletons",
+  "simulators",
+  "simulcasts",
+  "sinfulness",
+  "singletons",
+  "singsonged",
+  "sinusoidal",
+  "skedaddled",
+  "skedaddles",
+  "skillfully",
+  "skimpiness",
+  "skinniness",
+  "skittering",
+  "skyjackers",
+  "skyjacking",
+  "skylarking",
+  "skywriters",
+  "skywriting",
+  "slanderers",
+  "slanderous",
+  "slathering",
+  "slatternly",
+  "sleaziness",
+  "sleepiness",
+  "sleepwalks",
+  "sleepyhead",
+  "slenderize",
+  "slideshows",
+  "slightness",
+  "slipcovers",
+  "sloppiness",
+  "slouchiest",
+  "sluggishly",
+  "slumberous",
+  "smartening",
+  "smartphone",
+  "smartwatch",
+  "smokehouse",
+  "snakebites",
+  "snapdragon",
+  "sneeringly",
+  "snootiness",
+  "snorkelers",
+  "snowblower",
+  "snowboards",
+  "snowmobile",
+  "snuffboxes",
+  "sobriquets",
+  "socialites",
+  "sociopaths",
+  "solemnized",
+  "solemnizes",
+  "solicitude",
+  "solubility",
+  "somnolence",
+  "songwriter",
+  "soothingly",
+  "soothsayer",
+  "sophomoric",
+  "soporifics",
+  "sordidness",
+  "sourdoughs",
+  "sourpusses",
+  "southbound",
+  "southwards",
+  "spacesuits",
+  "spacewalks",
+  "spaciously",
+  "sparseness",
+  "specifiers",
+  "speciously",
+  "speedsters",
+  "spellcheck",
+  "spelunkers",
+  "spermicide",
+  "spheroidal",
+  "sphincters",
+  "spinnakers",
+  "spiritless",
+  "spirituous",
+  "spitefully",
+  "splashdown",
+  "splashiest",
+  "splittings",
+  "splotchier",
+  "splotching",
+  "spluttered",
+  "spoilsport",
+  "spoliation",
+  "spoonbills",
+  "spoonerism",
+  "sportscast",
+  "sportswear",
+  "spotlessly",
+  "spottiness",
+  "spuriously",
+  "spyglasses",
+  "squareness",
+  "squashiest",
+  "squiggling",
+  "squirmiest",
+  "squishiest",
+  "stabilizer",
+  "stagehands",
+  "stairwells",
+  "stalactite",
+  "stalagmite",
+  "stammerers",
+  "stanchions",
+  "stargazers",
+  "statehouse",
+  "staterooms",
+  "statically",
+  "stationers",
+  "statuesque",
+  "statuettes",
+  "steadiness",
+  "steakhouse",
+  "steamboats",
+  "steamrolls",
+  "steamships",
+  "stentorian",
+  "stepfather",
+  "stepmother",
+  "stepparent",
+  "stepsister",
+  "sterilizer",
+  "stevedores",
+  "stickiness",
+  "stiffeners",
+  "stigmatize",
+  "stillbirth",
+  "stochastic",
+  "stockiness",
+  "stockrooms",
+  "stodginess",
+  "stonewalls",
+  "stoplights",
+  "storefront",
+  "storminess",
+  "storybooks",
+  "stovepipes",
+  "stragglier",
+  "straitened",
+  "stranglers",
+  "strategist",
+  "streakiest",
+  "streetwise",
+  "stretchier",
+  "strictures",
+  "stridently",
+  "strikeouts",
+  "strikingly",
+  "stringency",
+  "striplings",
+  "striptease",
+  "strychnine",
+  "stubbornly",
+  "studiously",
+  "stuffiness",
+  "stultified",
+  "stultifies",
+  "stunningly",
+  "sturdiness",
+  "stutterers",
+  "subcompact",
+  "subculture",
+  "subheading",
+  "subjection",
+  "subjoining",
+  "subleasing",
+  "sublimated",
+  "sublimates",
+  "subliminal",
+  "submersing",
+  "suborbital",
+  "subpoenaed",
+  "subsidence",
+  "substation",
+  "substratum",
+  "subsystems",
+  "subtitling",
+  "subtotaled",
+  "subtrahend",
+  "subversion",
+  "succulence",
+  "suddenness",
+  "sufferance",
+  "suffragans",
+  "suffragist",
+  "sugarcoats",
+  "sullenness",
+  "sultanates",
+  "summations",
+  "summertime",
+  "sunbathers",
+  "sunbonnets",
+  "supermodel",
+  "supernovae",
+  "supernovas",
+  "superpower",
+  "supersized",
+  "supersizes",
+  "supervened",
+  "supervenes",
+  "suppleness",
+  "suppliants",
+  "supplicant",
+  "supplicate",
+  "suppurated",
+  "suppurates",
+  "surceasing",
+  "surefooted",
+  "surfeiting",
+  "surgically",
+  "surrealism",
+  "surrealist",
+  "surrogates",
+  "swattering",
+  "swaybacked",
+  "swearwords",
+  "sweatpants",
+  "sweatshirt",
+  "sweatshops",
+  "sweetbread",
+  "sweetbrier",
+  "sweeteners",
+  "sweetmeats",
+  "swellheads",
+  "sweltering",
+  "switchback",
+  "sycophants",
+  "syllogisms",
+  "symmetries",
+  "symposiums",
+  "syncopated",
+  "syncopates",
+  "syphilitic",
+  "tablelands",
+  "tabulators",
+  "tachometer",
+  "tactically",
+  "tacticians",
+  "tallyhoing",
+  "tarmacking",
+  "taskmaster",
+  "tattletale",
+  "tattooists",
+  "tawdriness",
+  "taxonomies",
+  "teakettles",
+  "teargassed",
+  "tearjerker",
+  "technocrat",
+  "telecaster",
+  "telegraphy",
+  "telemeters",
+  "telephonic",
+  "telephotos",
+  "telescopic",
+  "temporally",
+  "temporized",
+  "temporizes",
+  "temptingly",
+  "tenability",
+  "tenderfoot",
+  "tenderizer",
+  "tenderloin",
+  "tendinitis",
+  "termagants",
+  "terminable",
+  "terrariums",
+  "theocratic",
+  "thereabout",
+  "thermionic",
+  "thickeners",
+  "thighbones",
+  "thimbleful",
+  "thrashings",
+  "threescore",
+  "threesomes",
+  "threnodies",
+  "throatiest",
+  "thromboses",
+  "thrombosis",
+  "throwaways",
+  "thumbnails",
+  "thumbscrew",
+  "tidewaters",
+  "tiebreaker",
+  "timberland",
+  "timberline",
+  "timeliness",
+  "timepieces",
+  "timestamps",
+  "timetabled",
+  "timorously",
+  "timpanists",
+  "tincturing",
+  "tirelessly",
+  "tiresomely",
+  "toiletries",
+  "tolerantly",
+  "toleration",
+  "tollbooths",
+  "tomfoolery",
+  "tonalities",
+  "torchlight",
+  "tortuously",
+  "touchingly",
+  "touchstone",
+  "tourmaline",
+  "townhouses",
+  "toxicology",
+  "trafficker",
+  "tragedians",
+  "trajectory",
+  "trammeling",
+  "tranquilly",
+  "transducer",
+  "transferal",
+  "transfixed",
+  "transfixes",
+  "transfused",
+  "transfuses",
+  "transience",
+  "transiency",
+  "transmuted",
+  "transmutes",
+  "transships",
+  "travailing",
+  "travelogue",
+  "treasonous",
+  "triathlons",
+  "trickiness",
+  "triennials",
+  "trilateral",
+  "trillionth",
+  "tripartite",
+  "trisecting",
+  "trivialize",
+  "troglodyte",
+  "trombonist",
+  "troopships",
+  "troubadour",
+  "trousseaux",
+  "truckloads",
+  "truculence",
+  "trumpeters",
+  "truncheons",
+  "trustfully",
+  "truthiness",
+  "tubercular",
+  "tumbledown",
+  "tumbleweed",
+  "tunelessly",
+  "turboprops",
+  "turduckens",
+  "turnabouts",
+  "turtledove",
+  "twinklings",
+  "typewrites",
+  "typography",
+  "ulcerating",
+  "ulceration",
+  "ultrasound",
+  "unabridged",
+  "unaccented",
+  "unassisted",
+  "unavailing",
+  "unblushing",
+  "unbosoming",
+  "unbuckling",
+  "unbuttoned",
+  "uncensored",
+  "unchanging",
+  "unclasping",
+  "unclearest",
+  "unclothing",
+  "uncommonly",
+  "uncoupling",
+  "uncritical",
+  "unctuously",
+  "undeceived",
+  "undeceives",
+  "undeclared",
+  "undefeated",
+  "undefended",
+  "underacted",
+  "underbelly",
+  "underclass",
+  "undercoats",
+  "underfeeds",
+  "undergrads",
+  "underlings",
+  "underplays",
+  "undersells",
+  "undershoot",
+  "undersigns",
+  "undersized",
+  "underskirt",
+  "undervalue",
+  "undeterred",
+  "undisputed",
+  "undulating",
+  "undulation",
+  "unenviable",
+  "unerringly",
+  "unevenness",
+  "unexampled",
+  "unexciting",
+  "unexplored",
+  "unfairness",
+  "unfettered",
+  "unflagging",
+  "unfriended",
+  "unfrocking",
+  "ungracious",
+  "ungrudging",
+  "unhindered",
+  "unhitching",
+  "unicameral",
+  "unimpaired",
+  "uninstalls",
+  "uninviting",
+  "unkindness",
+  "unknowable",
+  "unknowings",
+  "unlatching",
+  "unlawfully",
+  "unlearning",
+  "unleavened",
+  "unlettered",
+  "unlicensed",
+  "unmanliest",
+  "unmannerly",
+  "unmerciful",
+  "unnumbered",
+  "unobserved",
+  "unplugging",
+  "unpolluted",
+  "unprompted",
+  "unpunished",
+  "unrealized",
+  "unrecorded",
+  "unreleased",
+  "unrelieved",
+  "unrequited",
+  "unreserved",
+  "unromantic",
+  "unruliness",
+  "unsaddling",
+  "unschooled",
+  "unscramble",
+  "unseasoned",
+  "unshakable",
+  "unsheathed",
+  "unsheathes",
+  "unskillful",
+  "unsnapping",
+  "unsnarling",
+  "unsociable",
+  "unspecific",
+  "unsteadier",
+  "unsteadily",
+  "unstopping",
+  "unstressed",
+  "unsuitably",
+  "unswerving",
+  "unthinking",
+  "untidiness",
+  "untimelier",
+  "untiringly",
+  "untroubled",
+  "untruthful",
+  "untwisting",
+  "unverified",
+  "unwariness",
+  "unwavering",
+  "unworthier",
+  "unyielding",
+  "upbraiding",
+  "upchucking",
+  "upliftings",
+  "uproarious",
+  "urbanizing",
+  "urinalyses",
+  "urinalysis",
+  "urologists",
+  "usherettes",
+  "usurpation",
+  "vacationer",
+  "valuations",
+  "vanishings",
+  "vaporizers",
+  "variegated",
+  "variegates",
+  "vaudeville",
+  "vegetating",
+  "vegetative",
+  "vengefully",
+  "venomously",
+  "verbalized",
+  "verbalizes",
+  "verifiable",
+  "vermicelli",
+  "versifying",
+  "vibraphone",
+  "victualing",
+  "videodiscs",
+  "viewfinder",
+  "vigilantly",
+  "vignetting",
+  "vindicator",
+  "violinists",
+  "virtuosity",
+  "virulently",
+  "vitalizing",
+  "vituperate",
+  "viviparous",
+  "vocalizing",
+  "vociferate",
+  "voicemails",
+  "volatility",
+  "voltmeters",
+  "volubility",
+  "voluptuary",
+  "vouchsafed",
+  "vouchsafes",
+  "vulcanized",
+  "vulcanizes",
+  "vulgarisms",
+  "vulgarized",
+  "vulgarizes",
+  "vulnerably",
+  "wainscoted",
+  "waistbands",
+  "waistcoats",
+  "wallflower",
+  "wallopings",
+  "wanderlust",
+  "wantonness",
+  "warmongers",
+  "washbasins",
+  "washboards",
+  "washstands",
+  "wassailing",
+  "wastepaper",
+  "wastewater",
+  "watchbands",
+  "watchfully",
+  "watchmaker",
+  "watchtower",
+  "waterboard",
+  "watercraft",
+  "watercress",
+  "waterfowls",
+  "waterlines",
+  "watersides",
+  "waterspout",
+  "wayfarings",
+  "weakfishes",
+  "weaponless",
+  "weatherize",
+  "weatherman",
+  "weathermen",
+  "webcasting",
+  "webmasters",
+  "weeknights",
+  "weightless",
+  "wellspring",
+  "westerners",
+  "westernize",
+  "wheelbases",
+  "wherefores",
+  "whetstones",
+  "whiplashes",
+  "whirligigs",
+  "whitewalls",
+  "whomsoever",
+  "whorehouse",
+  "wickerwork",
+  "widescreen",
+  "wigwagging",
+  "wildebeest",
+  "wildflower",
+  "windbreaks",
+  "windjammer",
+  "windlasses",
+  "windowsill",
+  "windstorms",
+  "windsurfed",
+  "wingspread",
+  "winterized",
+  "winterizes",
+  "wirelesses",
+  "wiretapped",
+  "woefullest",
+  "wolfhounds",
+  "wolverines",
+  "womanizers",
+  "womanizing",
+  "womanliest",
+  "womenfolks",
+  "wonderment",
+  "wondrously",
+  "woodcutter",
+  "woodenness",
+  "woolliness",
+  "workaholic",
+  "workhorses",
+  "workhouses",
+  "workingman",
+  "workingmen",
+  "workplaces",
+  "worksheets",
+  "worrywarts",
+  "worshipful",
+  "worthiness",
+  "wraparound",
+  "wrathfully",
+  "wretchedly",
+  "wrinkliest",
+  "wristbands",
+  "wrongfully",
+  "xenophobic",
+  "xerography",
+  "yesteryear",
+  "youthfully"
+];
+
+/**
+ * Every accepted 10-letter word (answers + valid guesses), sorted
+ */
+export const SOLUTIONS_LIST = [...ANSWERS_LIST, ...VALID_GUESSES_LIST].sort();
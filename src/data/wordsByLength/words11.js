@@ -0,0 +1,4956 @@
+// src/data/wordsByLength/words11.js
+//
+// 11-LETTER WORD LIST (generated by scripts/buildWordLists.js - do not edit by hand)
+//
+// Split into two lists, like solutions.js:
+// - ANSWERS_LIST: common words (SCOWL sizes 10-35), the likely answers in Wordle clones
+// - VALID_GUESSES_LIST: less common words accepted as guesses (SCOWL sizes up to 50)
+//
+// Word lists derived from SCOWL (http://wordlist.aspell.net/):
+//   Copyright 2000-2016 by Kevin Atkinson
+//   Permission to use, copy, modify, distribute and sell these word
+//   lists, the associated scripts, the output created from the scripts,
+//   and its documentation for any purpose is hereby granted without fee,
+//   provided that the above copyright notice appears in all copies and
+//   that both that copyright notice and this permission notice appear in
+//   supporting documentation. Kevin Atkinson makes no representations
+//   about the suitability of this array for any purpose. It is provided
+//   "as is" without express or implied warranty.
+
+/**
+ * Common 11-letter words (likely answers)
+ * Total: 2597 words
+ */
+export const ANSWERS_LIST = [
+  "abandonment",
+  "abbreviated",
+  "abbreviates",
+  "abdications",
+  "aberrations",
+  "abnormality",
+  "abomination",
+  "abstentions",
+  "abstracting",
+  "abstraction",
+  "absurdities",
+  "accelerated",
+  "accelerates",
+  "accelerator",
+  "accentuated",
+  "accentuates",
+  "acceptances",
+  "accessories",
+  "accidentals",
+  "acclimating",
+  "acclimatize",
+  "accommodate",
+  "accompanied",
+  "accompanies",
+  "accompanist",
+  "accomplices",
+  "accordingly",
+  "accountable",
+  "accountancy",
+  "accountants",
+  "accrediting",
+  "accumulated",
+  "accumulates",
+  "accusations",
+  "accustoming",
+  "achievement",
+  "acknowledge",
+  "acquainting",
+  "acquiescing",
+  "acquisition",
+  "acrimonious",
+  "actualities",
+  "acupuncture",
+  "adaptations",
+  "adjournment",
+  "adjustments",
+  "administers",
+  "admonishing",
+  "admonitions",
+  "adolescence",
+  "adolescents",
+  "adulterated",
+  "adulterates",
+  "advancement",
+  "advantaging",
+  "adventurers",
+  "adventuring",
+  "adventurous",
+  "adversaries",
+  "adversities",
+  "advertisers",
+  "advertising",
+  "aerodynamic",
+  "affectation",
+  "affiliating",
+  "affiliation",
+  "affirmation",
+  "affirmative",
+  "afflictions",
+  "aftereffect",
+  "aggravating",
+  "aggravation",
+  "aggregating",
+  "agnosticism",
+  "agriculture",
+  "allegations",
+  "allegiances",
+  "allegorical",
+  "alleviating",
+  "allocations",
+  "alterations",
+  "alternately",
+  "alternating",
+  "alternation",
+  "alternative",
+  "amalgamated",
+  "amalgamates",
+  "ambassadors",
+  "ambiguities",
+  "ambiguously",
+  "ambitiously",
+  "ambivalence",
+  "amphetamine",
+  "amputations",
+  "anachronism",
+  "anesthetics",
+  "animosities",
+  "annexations",
+  "annihilated",
+  "annihilates",
+  "anniversary",
+  "annotations",
+  "anonymously",
+  "antagonisms",
+  "antagonists",
+  "antagonized",
+  "antagonizes",
+  "anthologies",
+  "antibiotics",
+  "anticipated",
+  "anticipates",
+  "antipathies",
+  "antiquating",
+  "antiquities",
+  "antiseptics",
+  "apologizing",
+  "apostrophes",
+  "appallingly",
+  "apparatuses",
+  "apparitions",
+  "appearances",
+  "appeasement",
+  "application",
+  "applicators",
+  "appointment",
+  "appreciable",
+  "appreciated",
+  "appreciates",
+  "apprehended",
+  "apprenticed",
+  "apprentices",
+  "approaching",
+  "appropriate",
+  "approximate",
+  "aquamarines",
+  "arbitrarily",
+  "arbitrating",
+  "arbitration",
+  "arbitrators",
+  "archaeology",
+  "archbishops",
+  "archipelago",
+  "aristocracy",
+  "aristocrats",
+  "arrangement",
+  "articulated",
+  "articulates",
+  "ascertained",
+  "asphyxiated",
+  "asphyxiates",
+  "aspirations",
+  "assassinate",
+  "assessments",
+  "assignments",
+  "assimilated",
+  "assimilates",
+  "associating",
+  "association",
+  "associative",
+  "assortments",
+  "assumptions",
+  "asterisking",
+  "astonishing",
+  "astringents",
+  "astronomers",
+  "atmospheres",
+  "atmospheric",
+  "atrociously",
+  "attachments",
+  "attainments",
+  "attendances",
+  "attentively",
+  "attractions",
+  "attributing",
+  "attribution",
+  "auctioneers",
+  "auditioning",
+  "auditoriums",
+  "austerities",
+  "authorities",
+  "authorizing",
+  "autocracies",
+  "autographed",
+  "automobiled",
+  "automobiles",
+  "auxiliaries",
+  "awkwardness",
+  "backgrounds",
+  "backhanding",
+  "backlogging",
+  "backpacking",
+  "backtracked",
+  "bamboozling",
+  "bankrupting",
+  "barbiturate",
+  "barricading",
+  "basketballs",
+  "battlefield",
+  "battleships",
+  "beauticians",
+  "beautifully",
+  "beautifying",
+  "befriending",
+  "belligerent",
+  "benediction",
+  "benefactors",
+  "beneficiary",
+  "benevolence",
+  "bequeathing",
+  "bereavement",
+  "bewildering",
+  "biochemical",
+  "biographers",
+  "biographies",
+  "birthplaces",
+  "bittersweet",
+  "blackboards",
+  "blackjacked",
+  "blacklisted",
+  "blackmailed",
+  "blackmailer",
+  "blacksmiths",
+  "blacktopped",
+  "blasphemies",
+  "blaspheming",
+  "blasphemous",
+  "blindfolded",
+  "blockbuster",
+  "bloodhounds",
+  "bloodstream",
+  "blowtorches",
+  "bludgeoning",
+  "blueberries",
+  "blueprinted",
+  "bobsledding",
+  "bombardment",
+  "bookkeepers",
+  "bookkeeping",
+  "bookmarking",
+  "boomeranged",
+  "bootlegging",
+  "borderlines",
+  "bottlenecks",
+  "bourgeoisie",
+  "brainstorms",
+  "brainwashed",
+  "brainwashes",
+  "brandishing",
+  "breadwinner",
+  "breakfasted",
+  "breakpoints",
+  "breakwaters",
+  "bricklayers",
+  "bridegrooms",
+  "bridesmaids",
+  "brightening",
+  "brilliantly",
+  "broadsiding",
+  "brotherhood",
+  "browbeating",
+  "brutalities",
+  "bulldogging",
+  "bulletining",
+  "bullfighter",
+  "bureaucracy",
+  "bureaucrats",
+  "businessman",
+  "businessmen",
+  "butterflied",
+  "butterflies",
+  "buttonholed",
+  "buttonholes",
+  "buttressing",
+  "calculating",
+  "calculation",
+  "calculators",
+  "calendaring",
+  "calibrating",
+  "calibration",
+  "calligraphy",
+  "camaraderie",
+  "camouflaged",
+  "camouflages",
+  "campaigners",
+  "campaigning",
+  "candidacies",
+  "candlestick",
+  "cannibalism",
+  "cantaloupes",
+  "capacitance",
+  "capillaries",
+  "capitalists",
+  "capitalized",
+  "capitalizes",
+  "capitulated",
+  "capitulates",
+  "captivating",
+  "captivities",
+  "carburetors",
+  "carefullest",
+  "carefulness",
+  "caricatured",
+  "caricatures",
+  "carnivorous",
+  "carpentered",
+  "carriageway",
+  "cartography",
+  "cartoonists",
+  "cartwheeled",
+  "casseroling",
+  "castigating",
+  "cataclysmic",
+  "catapulting",
+  "catastrophe",
+  "categorical",
+  "categorized",
+  "categorizes",
+  "caterpillar",
+  "cauliflower",
+  "ceaselessly",
+  "celebrating",
+  "celebration",
+  "celebrities",
+  "centennials",
+  "centerpiece",
+  "centimeters",
+  "centralized",
+  "centralizes",
+  "ceremonials",
+  "ceremonious",
+  "certainties",
+  "certificate",
+  "chairperson",
+  "challengers",
+  "challenging",
+  "championing",
+  "chancellors",
+  "chandeliers",
+  "chaperoning",
+  "charismatic",
+  "chauffeured",
+  "chauvinists",
+  "cheerfuller",
+  "cheesecloth",
+  "childbirths",
+  "chimpanzees",
+  "chloroforms",
+  "chlorophyll",
+  "cholesterol",
+  "christening",
+  "chromosomes",
+  "chronically",
+  "chronicling",
+  "circulating",
+  "circulation",
+  "circulatory",
+  "circumcised",
+  "circumcises",
+  "circumvents",
+  "citizenship",
+  "clairvoyant",
+  "clandestine",
+  "classifying",
+  "cleanliness",
+  "cloistering",
+  "clothespins",
+  "cloudbursts",
+  "coagulating",
+  "coagulation",
+  "cockroaches",
+  "coefficient",
+  "coexistence",
+  "coincidence",
+  "collaborate",
+  "collapsible",
+  "collarbones",
+  "collections",
+  "collectives",
+  "combination",
+  "combustible",
+  "comestibles",
+  "comfortable",
+  "comfortably",
+  "commandants",
+  "commandeers",
+  "commandment",
+  "commemorate",
+  "commendable",
+  "commentator",
+  "commercials",
+  "commiserate",
+  "commissions",
+  "commitments",
+  "commodities",
+  "commonplace",
+  "communicate",
+  "communiques",
+  "communities",
+  "commutative",
+  "comparative",
+  "comparisons",
+  "compartment",
+  "compatibles",
+  "compatriots",
+  "compensated",
+  "compensates",
+  "competences",
+  "competently",
+  "competition",
+  "competitive",
+  "competitors",
+  "compilation",
+  "complacency",
+  "complaining",
+  "complements",
+  "complexions",
+  "complicated",
+  "complicates",
+  "compliments",
+  "composition",
+  "compounding",
+  "comprehends",
+  "compressing",
+  "compression",
+  "compromised",
+  "compromises",
+  "compulsions",
+  "compunction",
+  "computation",
+  "computerize",
+  "comradeship",
+  "concatenate",
+  "concealment",
+  "conceivable",
+  "conceivably",
+  "concentrate",
+  "conceptions",
+  "concessions",
+  "conciliated",
+  "conciliates",
+  "conciseness",
+  "conclusions",
+  "concoctions",
+  "concordance",
+  "concurrence",
+  "concurrency",
+  "concussions",
+  "condescends",
+  "conditional",
+  "conditioned",
+  "condolences",
+  "condominium",
+  "confections",
+  "confederacy",
+  "confederate",
+  "conferences",
+  "confessions",
+  "confidences",
+  "confidently",
+  "configuring",
+  "confinement",
+  "confiscated",
+  "confiscates",
+  "conflicting",
+  "confounding",
+  "confronting",
+  "congregated",
+  "congregates",
+  "congressman",
+  "congressmen",
+  "conjectured",
+  "conjectures",
+  "conjugating",
+  "conjugation",
+  "conjunction",
+  "connections",
+  "connoisseur",
+  "connotation",
+  "consciences",
+  "consciously",
+  "consecrated",
+  "consecrates",
+  "consecutive",
+  "consensuses",
+  "consequence",
+  "considerate",
+  "considering",
+  "consignment",
+  "consistency",
+  "consolation",
+  "consolidate",
+  "conspicuous",
+  "conspirator",
+  "constituent",
+  "constituted",
+  "constitutes",
+  "constrained",
+  "constraints",
+  "constricted",
+  "constructed",
+  "consultancy",
+  "consultants",
+  "consumables",
+  "consumerism",
+  "consummated",
+  "consummates",
+  "consumption",
+  "contaminate",
+  "contemplate",
+  "contentions",
+  "contentious",
+  "contentment",
+  "contestants",
+  "continental",
+  "contingency",
+  "contingents",
+  "continually",
+  "contortions",
+  "contracting",
+  "contraction",
+  "contractors",
+  "contractual",
+  "contradicts",
+  "contraption",
+  "contrasting",
+  "contravenes",
+  "contributed",
+  "contributes",
+  "contributor",
+  "controllers",
+  "controlling",
+  "controversy",
+  "convalesced",
+  "convalesces",
+  "convenience",
+  "conventions",
+  "convergence",
+  "conversions",
+  "convertible",
+  "conveyances",
+  "convictions",
+  "convulsions",
+  "cooperating",
+  "cooperation",
+  "cooperative",
+  "coordinated",
+  "coordinates",
+  "coordinator",
+  "copperheads",
+  "copyrighted",
+  "corkscrewed",
+  "coronations",
+  "corporation",
+  "corrections",
+  "correctness",
+  "correlating",
+  "correlation",
+  "corresponds",
+  "corroborate",
+  "corruptible",
+  "corruptions",
+  "cottontails",
+  "cottonwoods",
+  "countenance",
+  "counteracts",
+  "counterfeit",
+  "counterpart",
+  "countersign",
+  "countryside",
+  "courteously",
+  "courthouses",
+  "covenanting",
+  "cranberries",
+  "credentials",
+  "credibility",
+  "crestfallen",
+  "criticizing",
+  "crucifixion",
+  "crustaceans",
+  "crystallize",
+  "culminating",
+  "culmination",
+  "cultivating",
+  "cultivation",
+  "curiosities",
+  "customizing",
+  "cybernetics",
+  "cylindrical",
+  "dangerously",
+  "daydreaming",
+  "deadlocking",
+  "debasements",
+  "debilitated",
+  "debilitates",
+  "decapitated",
+  "decapitates",
+  "deceitfully",
+  "deciphering",
+  "declaration",
+  "decomposing",
+  "decorations",
+  "dedications",
+  "defenseless",
+  "deferential",
+  "definitions",
+  "deflections",
+  "deformities",
+  "degenerated",
+  "degenerates",
+  "degradation",
+  "dehydrating",
+  "delegations",
+  "deleterious",
+  "deliberated",
+  "deliberates",
+  "deliciously",
+  "delinquency",
+  "delinquents",
+  "deliriously",
+  "deliverance",
+  "democracies",
+  "demolishing",
+  "demolitions",
+  "demonstrate",
+  "demoralized",
+  "demoralizes",
+  "denominator",
+  "deodorizing",
+  "departments",
+  "deportation",
+  "depravities",
+  "deprecating",
+  "depreciated",
+  "depreciates",
+  "depressions",
+  "deprivation",
+  "derailments",
+  "derivations",
+  "derivatives",
+  "descendants",
+  "describable",
+  "description",
+  "descriptive",
+  "descriptors",
+  "desecrating",
+  "desecration",
+  "designating",
+  "designation",
+  "desperately",
+  "desperation",
+  "destabilize",
+  "destination",
+  "destitution",
+  "destruction",
+  "destructive",
+  "detachments",
+  "deteriorate",
+  "determining",
+  "determinism",
+  "detonations",
+  "detrimental",
+  "devastating",
+  "devastation",
+  "development",
+  "diagnostics",
+  "diagramming",
+  "dictatorial",
+  "differences",
+  "differently",
+  "dignitaries",
+  "digressions",
+  "dilapidated",
+  "dimensional",
+  "diminishing",
+  "diminutives",
+  "directories",
+  "disagreeing",
+  "disallowing",
+  "disappeared",
+  "disappoints",
+  "disapproval",
+  "disapproved",
+  "disapproves",
+  "disarmament",
+  "disarraying",
+  "disbelieved",
+  "disbelieves",
+  "discernible",
+  "discharging",
+  "disciplined",
+  "disciplines",
+  "disclaiming",
+  "disclosures",
+  "discoloring",
+  "discomforts",
+  "disconcerts",
+  "disconnects",
+  "discontents",
+  "discontinue",
+  "discounting",
+  "discouraged",
+  "discourages",
+  "discoursing",
+  "discourtesy",
+  "discoveries",
+  "discovering",
+  "discredited",
+  "discreetest",
+  "discrepancy",
+  "discussions",
+  "disembarked",
+  "disengaging",
+  "disentangle",
+  "disfavoring",
+  "disfiguring",
+  "disgraceful",
+  "disgruntled",
+  "disgruntles",
+  "disheartens",
+  "dishonestly",
+  "dishonoring",
+  "dishwashers",
+  "disillusion",
+  "disinfected",
+  "disinherits",
+  "disjointing",
+  "dislocating",
+  "dislocation",
+  "dismantling",
+  "dismembered",
+  "dismounting",
+  "disobedient",
+  "disordering",
+  "disparaging",
+  "disparities",
+  "dispatching",
+  "displeasing",
+  "displeasure",
+  "disposables",
+  "disposition",
+  "disquieting",
+  "disregarded",
+  "disrespects",
+  "disruptions",
+  "dissections",
+  "disseminate",
+  "dissensions",
+  "disservices",
+  "dissipating",
+  "dissipation",
+  "dissociated",
+  "dissociates",
+  "dissolution",
+  "dissonances",
+  "distasteful",
+  "distinctest",
+  "distinction",
+  "distinctive",
+  "distinguish",
+  "distortions",
+  "distracting",
+  "distraction",
+  "distressing",
+  "distributed",
+  "distributes",
+  "distributor",
+  "distrustful",
+  "distrusting",
+  "disturbance",
+  "divergences",
+  "diversified",
+  "diversifies",
+  "diversities",
+  "documentary",
+  "documenting",
+  "domesticate",
+  "domesticity",
+  "dormitories",
+  "downgrading",
+  "downhearted",
+  "dragonflies",
+  "dramatizing",
+  "drastically",
+  "drawbridges",
+  "dressmakers",
+  "drunkenness",
+  "dumbfounded",
+  "duplicating",
+  "duplication",
+  "dynamically",
+  "earnestness",
+  "earthquakes",
+  "economizing",
+  "educational",
+  "effectively",
+  "efficiently",
+  "egalitarian",
+  "eighteenths",
+  "ejaculating",
+  "ejaculation",
+  "elaborately",
+  "elaborating",
+  "elaboration",
+  "electorates",
+  "electrician",
+  "electricity",
+  "electrified",
+  "electrifies",
+  "electrocute",
+  "electronics",
+  "eligibility",
+  "eliminating",
+  "elimination",
+  "emancipated",
+  "emancipates",
+  "embankments",
+  "embarrassed",
+  "embarrasses",
+  "embellished",
+  "embellishes",
+  "embittering",
+  "embroidered",
+  "emergencies",
+  "emigrations",
+  "emotionally",
+  "emphasizing",
+  "employments",
+  "encapsulate",
+  "enchantment",
+  "encompassed",
+  "encompasses",
+  "encountered",
+  "encouraging",
+  "encroaching",
+  "encumbering",
+  "encumbrance",
+  "endangering",
+  "endearments",
+  "endeavoring",
+  "endorsement",
+  "enforcement",
+  "engagements",
+  "engendering",
+  "engineering",
+  "enhancement",
+  "enlargement",
+  "enlightened",
+  "enlistments",
+  "enrollments",
+  "enterprises",
+  "entertained",
+  "entertainer",
+  "enthralling",
+  "enthusiasms",
+  "enthusiasts",
+  "enticements",
+  "entrenching",
+  "enumerating",
+  "enumeration",
+  "enunciating",
+  "enunciation",
+  "environment",
+  "epidermises",
+  "equestrians",
+  "equilateral",
+  "equilibrium",
+  "equivalence",
+  "equivalents",
+  "eradicating",
+  "erratically",
+  "erroneously",
+  "essentially",
+  "established",
+  "establishes",
+  "estimations",
+  "etymologies",
+  "evacuations",
+  "evaluations",
+  "evangelical",
+  "evangelists",
+  "evaporating",
+  "evaporation",
+  "eventuality",
+  "everlasting",
+  "exacerbated",
+  "exacerbates",
+  "exaggerated",
+  "exaggerates",
+  "examination",
+  "exasperated",
+  "exasperates",
+  "excavations",
+  "exceedingly",
+  "excellently",
+  "exceptional",
+  "excessively",
+  "excitements",
+  "exclamation",
+  "exclusively",
+  "executioner",
+  "exemplified",
+  "exemplifies",
+  "exhibitions",
+  "exhilarated",
+  "exhilarates",
+  "exhortation",
+  "existential",
+  "exonerating",
+  "exoneration",
+  "expatriated",
+  "expatriates",
+  "expectation",
+  "expeditions",
+  "expendables",
+  "expenditure",
+  "experienced",
+  "experiences",
+  "experiments",
+  "explanation",
+  "explanatory",
+  "exploration",
+  "exponential",
+  "expositions",
+  "expressions",
+  "expressways",
+  "extensively",
+  "exterminate",
+  "extinctions",
+  "extractions",
+  "extraditing",
+  "extradition",
+  "extrapolate",
+  "extravagant",
+  "extremities",
+  "extricating",
+  "fabricating",
+  "fabrication",
+  "facilitated",
+  "facilitates",
+  "familiarity",
+  "familiarize",
+  "fascinating",
+  "fascination",
+  "fashionable",
+  "fashionably",
+  "fatherlands",
+  "feasibility",
+  "featheriest",
+  "federalists",
+  "federations",
+  "fellowships",
+  "ferociously",
+  "fertilizers",
+  "fertilizing",
+  "festivities",
+  "figureheads",
+  "financially",
+  "fingernails",
+  "fingerprint",
+  "firecracker",
+  "firefighter",
+  "fireproofed",
+  "flamboyance",
+  "flashlights",
+  "flexibility",
+  "flirtations",
+  "flirtatious",
+  "floodlights",
+  "floundering",
+  "flourishing",
+  "fluctuating",
+  "fluctuation",
+  "fluorescent",
+  "foolhardier",
+  "foolishness",
+  "forbearance",
+  "forbiddings",
+  "forebodings",
+  "forecasting",
+  "forefathers",
+  "forefingers",
+  "foregrounds",
+  "forerunners",
+  "foreseeable",
+  "foreshadows",
+  "forestalled",
+  "foretasting",
+  "foretelling",
+  "forethought",
+  "forewarning",
+  "forgiveness",
+  "formalities",
+  "formalizing",
+  "formulating",
+  "formulation",
+  "fornication",
+  "forswearing",
+  "forthcoming",
+  "fortnightly",
+  "fortunately",
+  "fossilizing",
+  "foundations",
+  "fourteenths",
+  "fragmentary",
+  "fragmenting",
+  "franchising",
+  "frankfurter",
+  "frantically",
+  "fraternized",
+  "fraternizes",
+  "frequencies",
+  "frequentest",
+  "frequenting",
+  "friendliest",
+  "friendships",
+  "frightening",
+  "frightfully",
+  "frivolities",
+  "frostbiting",
+  "frostbitten",
+  "fruitlessly",
+  "frustrating",
+  "frustration",
+  "fulfillment",
+  "functioning",
+  "fundamental",
+  "furloughing",
+  "furnishings",
+  "furthermore",
+  "furtiveness",
+  "gallivanted",
+  "galvanizing",
+  "garrisoning",
+  "genealogies",
+  "generalized",
+  "generalizes",
+  "generations",
+  "genetically",
+  "geneticists",
+  "genuineness",
+  "geographies",
+  "germinating",
+  "germination",
+  "gesticulate",
+  "gingerbread",
+  "girlfriends",
+  "glamorizing",
+  "goalkeepers",
+  "godchildren",
+  "governesses",
+  "governments",
+  "graduations",
+  "grammatical",
+  "grandfather",
+  "grandmother",
+  "grandparent",
+  "grandstands",
+  "grapefruits",
+  "graphically",
+  "grasshopper",
+  "gravestones",
+  "gravitating",
+  "gravitation",
+  "greenhouses",
+  "grindstones",
+  "guillotined",
+  "guillotines",
+  "habitations",
+  "hairdresser",
+  "hallelujahs",
+  "hallmarking",
+  "handcuffing",
+  "handicapped",
+  "handicrafts",
+  "handwriting",
+  "harebrained",
+  "harmonizing",
+  "harpsichord",
+  "haughtiness",
+  "headquarter",
+  "heartbreaks",
+  "heartbroken",
+  "heavenliest",
+  "heavyweight",
+  "heightening",
+  "helicopters",
+  "hemispheres",
+  "hemorrhaged",
+  "hemorrhages",
+  "herbivorous",
+  "hesitations",
+  "hexadecimal",
+  "hibernating",
+  "hibernation",
+  "hierarchies",
+  "highlighted",
+  "hillbillies",
+  "hinterlands",
+  "hitchhikers",
+  "hitchhiking",
+  "hobbyhorses",
+  "hodgepodges",
+  "homesteaded",
+  "homogeneous",
+  "homogenized",
+  "homogenizes",
+  "homosexuals",
+  "honeycombed",
+  "honeymooned",
+  "honeysuckle",
+  "hoodwinking",
+  "hopscotched",
+  "hopscotches",
+  "horizontals",
+  "horseradish",
+  "hospitality",
+  "hospitalize",
+  "hourglasses",
+  "housekeeper",
+  "hullabaloos",
+  "humidifying",
+  "humiliating",
+  "humiliation",
+  "hummingbird",
+  "hydroplaned",
+  "hydroplanes",
+  "hyphenating",
+  "hyphenation",
+  "hypnotizing",
+  "hypocrisies",
+  "hypotenuses",
+  "hypothesize",
+  "icebreakers",
+  "identically",
+  "identifiers",
+  "identifying",
+  "ideological",
+  "illiterates",
+  "illuminated",
+  "illuminates",
+  "illustrated",
+  "illustrates",
+  "illustrator",
+  "illustrious",
+  "imagination",
+  "imaginative",
+  "immediately",
+  "immensities",
+  "immigrating",
+  "immigration",
+  "immobilized",
+  "immobilizes",
+  "immortality",
+  "impairments",
+  "impartially",
+  "impassioned",
+  "impatiences",
+  "impatiently",
+  "impediments",
+  "imperatives",
+  "imperfectly",
+  "imperialism",
+  "imperialist",
+  "impersonate",
+  "impertinent",
+  "impetuously",
+  "implausible",
+  "implemented",
+  "implementer",
+  "implicating",
+  "implication",
+  "importantly",
+  "importation",
+  "impositions",
+  "impossibles",
+  "impractical",
+  "impregnable",
+  "impregnated",
+  "impregnates",
+  "impressions",
+  "imprisoning",
+  "impropriety",
+  "improvement",
+  "improvising",
+  "impulsively",
+  "inabilities",
+  "inadvertent",
+  "inadvisable",
+  "inalienable",
+  "inaugurated",
+  "inaugurates",
+  "incantation",
+  "incarcerate",
+  "incarnating",
+  "incarnation",
+  "incessantly",
+  "incidentals",
+  "incinerated",
+  "incinerates",
+  "incinerator",
+  "incitements",
+  "inclination",
+  "incoherence",
+  "incompetent",
+  "incongruity",
+  "incongruous",
+  "incorporate",
+  "incorrectly",
+  "incredulity",
+  "incredulous",
+  "incremental",
+  "incremented",
+  "incriminate",
+  "indecencies",
+  "indefinable",
+  "indentation",
+  "independent",
+  "indications",
+  "indicatives",
+  "indictments",
+  "indifferent",
+  "indigestion",
+  "indignantly",
+  "indignation",
+  "indignities",
+  "indirection",
+  "individuals",
+  "indivisible",
+  "indomitable",
+  "inducements",
+  "indulgences",
+  "industrious",
+  "ineffective",
+  "ineffectual",
+  "inefficient",
+  "ineligibles",
+  "inescapable",
+  "inexcusable",
+  "inexpensive",
+  "infatuation",
+  "inferiority",
+  "infestation",
+  "infiltrated",
+  "infiltrates",
+  "infinitives",
+  "infirmaries",
+  "infirmities",
+  "inflammable",
+  "inflections",
+  "influencing",
+  "influential",
+  "informality",
+  "information",
+  "informative",
+  "infractions",
+  "infuriating",
+  "ingeniously",
+  "ingratiated",
+  "ingratiates",
+  "ingratitude",
+  "ingredients",
+  "inhabitants",
+  "inheritance",
+  "inhibitions",
+  "initialized",
+  "initializes",
+  "initiations",
+  "initiatives",
+  "injunctions",
+  "innovations",
+  "innumerable",
+  "inoculating",
+  "inoculation",
+  "inoffensive",
+  "inoperative",
+  "inopportune",
+  "inquisition",
+  "inquisitive",
+  "inscription",
+  "inscrutable",
+  "insecticide",
+  "insensitive",
+  "inseparable",
+  "insincerely",
+  "insincerity",
+  "insinuating",
+  "insinuation",
+  "inspections",
+  "inspiration",
+  "instability",
+  "installment",
+  "instigating",
+  "instigation",
+  "instinctive",
+  "instituting",
+  "institution",
+  "instructing",
+  "instruction",
+  "instructive",
+  "instructors",
+  "instruments",
+  "intangibles",
+  "integrating",
+  "integration",
+  "intelligent",
+  "intensified",
+  "intensifies",
+  "intensities",
+  "intentional",
+  "interacting",
+  "interaction",
+  "interactive",
+  "interceding",
+  "intercepted",
+  "interchange",
+  "intercourse",
+  "interesting",
+  "interfacing",
+  "interfering",
+  "interjected",
+  "interlocked",
+  "interlopers",
+  "interluding",
+  "intermingle",
+  "interposing",
+  "interpreted",
+  "interpreter",
+  "interracial",
+  "interrogate",
+  "interrupted",
+  "intersected",
+  "intersperse",
+  "interstates",
+  "intertwined",
+  "intertwines",
+  "intervening",
+  "interviewed",
+  "interviewer",
+  "interweaves",
+  "intimations",
+  "intimidated",
+  "intimidates",
+  "intolerable",
+  "intolerably",
+  "intolerance",
+  "intonations",
+  "intoxicated",
+  "intoxicates",
+  "intractable",
+  "intravenous",
+  "intricacies",
+  "introducing",
+  "intuitively",
+  "inundations",
+  "invalidated",
+  "invalidates",
+  "invariables",
+  "inventoried",
+  "inventories",
+  "investigate",
+  "investments",
+  "invigorated",
+  "invigorates",
+  "invitations",
+  "invocations",
+  "involuntary",
+  "involvement",
+  "iridescence",
+  "irradiating",
+  "irrationals",
+  "irrefutable",
+  "irrelevance",
+  "irreparable",
+  "irreverence",
+  "irrevocable",
+  "irrevocably",
+  "irritations",
+  "italicizing",
+  "itineraries",
+  "jackknifing",
+  "jellyfishes",
+  "jeopardized",
+  "jeopardizes",
+  "jettisoning",
+  "journalists",
+  "judiciaries",
+  "judiciously",
+  "justifiable",
+  "justifiably",
+  "juxtaposing",
+  "keyboarding",
+  "kingfishers",
+  "kitchenette",
+  "kneecapping",
+  "knighthoods",
+  "laboriously",
+  "lacerations",
+  "lamentation",
+  "landscaping",
+  "landsliding",
+  "languishing",
+  "leapfrogged",
+  "legislating",
+  "legislation",
+  "legislative",
+  "legislators",
+  "legislature",
+  "legitimated",
+  "legitimates",
+  "lengthening",
+  "letterheads",
+  "liabilities",
+  "liberalized",
+  "liberalizes",
+  "libertarian",
+  "lieutenants",
+  "lighthouses",
+  "lightninged",
+  "lightweight",
+  "likelihoods",
+  "limitations",
+  "linguistics",
+  "lipsticking",
+  "liquidating",
+  "liquidation",
+  "livelihoods",
+  "locomotives",
+  "logarithmic",
+  "loudspeaker",
+  "lubricating",
+  "lubrication",
+  "ludicrously",
+  "lumberjacks",
+  "luxuriating",
+  "macroscopic",
+  "magistrates",
+  "magnanimity",
+  "magnanimous",
+  "magnetizing",
+  "magnificent",
+  "maintainers",
+  "maintaining",
+  "maintenance",
+  "maladjusted",
+  "malevolence",
+  "malfunction",
+  "maliciously",
+  "malpractice",
+  "maltreating",
+  "maneuvering",
+  "manhandling",
+  "manicurists",
+  "manifesting",
+  "manifolding",
+  "manipulated",
+  "manipulates",
+  "mantelpiece",
+  "manufacture",
+  "manuscripts",
+  "marionettes",
+  "marketplace",
+  "marshmallow",
+  "masqueraded",
+  "masquerades",
+  "masterminds",
+  "masterpiece",
+  "masticating",
+  "matchmakers",
+  "materialism",
+  "materialist",
+  "materialize",
+  "mathematics",
+  "matriarchal",
+  "matriculate",
+  "matrimonial",
+  "meaningless",
+  "measurement",
+  "mechanizing",
+  "medications",
+  "meditations",
+  "megaphoning",
+  "memberships",
+  "memorandums",
+  "menstruated",
+  "menstruates",
+  "mentalities",
+  "mercenaries",
+  "merchandise",
+  "mercilessly",
+  "metabolisms",
+  "metaphysics",
+  "meteorology",
+  "methodology",
+  "microfilmed",
+  "micrometers",
+  "microphones",
+  "microscopes",
+  "microscopic",
+  "microsecond",
+  "microwaving",
+  "millimeters",
+  "millionaire",
+  "millisecond",
+  "ministerial",
+  "ministering",
+  "misbehaving",
+  "misbehavior",
+  "miscarriage",
+  "miscarrying",
+  "mischievous",
+  "misconducts",
+  "misconstrue",
+  "misdemeanor",
+  "misdirected",
+  "misfortunes",
+  "misinformed",
+  "mismatching",
+  "misprinting",
+  "misspelling",
+  "mistrusting",
+  "mockingbird",
+  "modernizing",
+  "modulations",
+  "momentarily",
+  "monasteries",
+  "monogrammed",
+  "monopolized",
+  "monopolizes",
+  "monstrosity",
+  "moonlighted",
+  "moratoriums",
+  "mothballing",
+  "motivations",
+  "motorcycled",
+  "motorcycles",
+  "mountaineer",
+  "mountainous",
+  "mouthpieces",
+  "multiplying",
+  "mushrooming",
+  "mutilations",
+  "mythologies",
+  "nationalism",
+  "nationalist",
+  "nationality",
+  "nationalize",
+  "naturalists",
+  "naturalized",
+  "naturalizes",
+  "naturalness",
+  "naughtiness",
+  "nearsighted",
+  "necessaries",
+  "necessarily",
+  "necessitate",
+  "necessities",
+  "neckerchief",
+  "necrophilia",
+  "negligently",
+  "negotiating",
+  "negotiation",
+  "negotiators",
+  "neighboring",
+  "nervousness",
+  "neurologist",
+  "neutralized",
+  "neutralizes",
+  "newscasters",
+  "newsletters",
+  "nightingale",
+  "nightmarish",
+  "nincompoops",
+  "nineteenths",
+  "noiselessly",
+  "nominations",
+  "nominatives",
+  "nonchalance",
+  "nondescript",
+  "nonentities",
+  "nonetheless",
+  "nonpartisan",
+  "nonresident",
+  "nonsensical",
+  "nonstandard",
+  "nonviolence",
+  "northerlies",
+  "nothingness",
+  "noticeboard",
+  "notoriously",
+  "nourishment",
+  "numerically",
+  "nutcrackers",
+  "nutritional",
+  "obfuscation",
+  "objectively",
+  "objectivity",
+  "obligations",
+  "obliterated",
+  "obliterates",
+  "obscenities",
+  "obscurities",
+  "observances",
+  "observation",
+  "observatory",
+  "obsolescent",
+  "obstructing",
+  "obstruction",
+  "obstructive",
+  "occasioning",
+  "occupations",
+  "occurrences",
+  "officiating",
+  "olfactories",
+  "omnipotence",
+  "omnipresent",
+  "operational",
+  "opinionated",
+  "opportunist",
+  "opportunity",
+  "optometrist",
+  "orchestrate",
+  "ordinations",
+  "orientating",
+  "orientation",
+  "originality",
+  "originating",
+  "originators",
+  "ornamenting",
+  "ornithology",
+  "orthography",
+  "orthopedics",
+  "oscillating",
+  "oscillation",
+  "ostentation",
+  "ostracizing",
+  "outclassing",
+  "outdistance",
+  "outnumbered",
+  "outpatients",
+  "outsmarting",
+  "outstanding",
+  "outstations",
+  "outstripped",
+  "outweighing",
+  "overbearing",
+  "overburdens",
+  "overcasting",
+  "overcharged",
+  "overcharges",
+  "overcrowded",
+  "overdrawing",
+  "overflowing",
+  "overgrowing",
+  "overhanging",
+  "overhauling",
+  "overhearing",
+  "overheating",
+  "overlapping",
+  "overloading",
+  "overlooking",
+  "overpowered",
+  "overpricing",
+  "overprinted",
+  "overreacted",
+  "overrunning",
+  "overshadows",
+  "overstating",
+  "overstepped",
+  "overturning",
+  "overwhelmed",
+  "overworking",
+  "overwriting",
+  "overwritten",
+  "overwrought",
+  "painfullest",
+  "painstaking",
+  "pallbearers",
+  "pandemonium",
+  "panhandlers",
+  "panhandling",
+  "pantomiming",
+  "paperweight",
+  "parachuting",
+  "paradoxical",
+  "paragraphed",
+  "paralleling",
+  "paraphrased",
+  "paraphrases",
+  "paraplegics",
+  "paratrooper",
+  "parentheses",
+  "parenthesis",
+  "parishioner",
+  "parliaments",
+  "participant",
+  "participate",
+  "participles",
+  "particulars",
+  "partitioned",
+  "partnership",
+  "passageways",
+  "pasteurized",
+  "pasteurizes",
+  "paternalism",
+  "pathologist",
+  "patriarchal",
+  "patrimonies",
+  "patronizing",
+  "pawnbrokers",
+  "peacemakers",
+  "peculiarity",
+  "pedestrians",
+  "penetrating",
+  "penetration",
+  "penultimate",
+  "peppermints",
+  "percentages",
+  "perceptible",
+  "perceptions",
+  "percolating",
+  "percolation",
+  "percolators",
+  "perfections",
+  "perforating",
+  "perforation",
+  "performance",
+  "perfunctory",
+  "periodicals",
+  "peripherals",
+  "peripheries",
+  "perishables",
+  "permanently",
+  "permissible",
+  "permissions",
+  "permutation",
+  "perpetrated",
+  "perpetrates",
+  "perpetrator",
+  "perpetually",
+  "perpetuated",
+  "perpetuates",
+  "persecuting",
+  "persecution",
+  "persecutors",
+  "persevering",
+  "persistence",
+  "personality",
+  "personalize",
+  "personified",
+  "personifies",
+  "perspective",
+  "persuasions",
+  "perversions",
+  "pessimistic",
+  "pestilences",
+  "petitioning",
+  "pharmacists",
+  "phenomenons",
+  "philosopher",
+  "phonographs",
+  "photocopied",
+  "photocopier",
+  "photocopies",
+  "photographs",
+  "photography",
+  "phraseology",
+  "pickpockets",
+  "picturesque",
+  "pigeonholed",
+  "pigeonholes",
+  "piggybacked",
+  "pilgrimages",
+  "pillowcases",
+  "pincushions",
+  "pinpointing",
+  "pirouetting",
+  "pitchforked",
+  "plagiarisms",
+  "plagiarists",
+  "plagiarized",
+  "plagiarizes",
+  "planetarium",
+  "plantations",
+  "platforming",
+  "playfulness",
+  "playgrounds",
+  "playwrights",
+  "pleasantest",
+  "pleasurable",
+  "plentifully",
+  "pocketbooks",
+  "pockmarking",
+  "poinsettias",
+  "pointlessly",
+  "policewoman",
+  "policewomen",
+  "politically",
+  "politicians",
+  "pollinating",
+  "pollination",
+  "polynomials",
+  "polytechnic",
+  "pomegranate",
+  "popularized",
+  "popularizes",
+  "populations",
+  "pornography",
+  "portability",
+  "positioning",
+  "possessions",
+  "possessives",
+  "possibility",
+  "postmarking",
+  "postmasters",
+  "postscripts",
+  "postulating",
+  "potentially",
+  "powerhouses",
+  "practicable",
+  "practically",
+  "precautions",
+  "precipitate",
+  "precipitous",
+  "preconceive",
+  "predecessor",
+  "predicament",
+  "predicating",
+  "predictable",
+  "predictably",
+  "predictions",
+  "predominant",
+  "predominate",
+  "preeminence",
+  "preferences",
+  "pregnancies",
+  "prehistoric",
+  "prejudicial",
+  "prejudicing",
+  "preliminary",
+  "prematurely",
+  "premonition",
+  "preoccupied",
+  "preoccupies",
+  "preparation",
+  "preparatory",
+  "preposition",
+  "prerogative",
+  "prescribing",
+  "presentable",
+  "prestigious",
+  "presumption",
+  "presupposed",
+  "presupposes",
+  "pretensions",
+  "pretentious",
+  "preventable",
+  "preventives",
+  "priestesses",
+  "priesthoods",
+  "principally",
+  "privatizing",
+  "privileging",
+  "probability",
+  "problematic",
+  "proceedings",
+  "processions",
+  "proclaiming",
+  "procurement",
+  "productions",
+  "profanities",
+  "professions",
+  "proficiency",
+  "proficients",
+  "profiteered",
+  "profoundest",
+  "programmers",
+  "programming",
+  "progressing",
+  "progression",
+  "progressive",
+  "prohibiting",
+  "prohibition",
+  "prohibitive",
+  "projectiles",
+  "projections",
+  "proletarian",
+  "proletariat",
+  "proliferate",
+  "promenading",
+  "prominently",
+  "promiscuity",
+  "promiscuous",
+  "promulgated",
+  "promulgates",
+  "pronouncing",
+  "propagating",
+  "propagation",
+  "prophesying",
+  "proportions",
+  "proposition",
+  "proprietary",
+  "proprietors",
+  "prosecuting",
+  "prosecution",
+  "prosecutors",
+  "prospecting",
+  "prospective",
+  "prospectors",
+  "prostituted",
+  "prostitutes",
+  "prostrating",
+  "protagonist",
+  "protections",
+  "protracting",
+  "protractors",
+  "protrusions",
+  "provincials",
+  "provisional",
+  "provisioned",
+  "provocation",
+  "provocative",
+  "psychedelic",
+  "psychiatric",
+  "psychopaths",
+  "publication",
+  "publicizing",
+  "pulverizing",
+  "punctuality",
+  "punctuating",
+  "punctuation",
+  "punishments",
+  "puritanical",
+  "quadrangles",
+  "quadruplets",
+  "quadrupling",
+  "qualitative",
+  "quarantined",
+  "quarantines",
+  "quarrelsome",
+  "quarterback",
+  "quarterlies",
+  "questioning",
+  "quintuplets",
+  "racketeered",
+  "radioactive",
+  "ragamuffins",
+  "railroading",
+  "raspberries",
+  "rationality",
+  "rationalize",
+  "rattlesnake",
+  "reactionary",
+  "readability",
+  "readjusting",
+  "realization",
+  "reallocated",
+  "reallocates",
+  "reappearing",
+  "rearranging",
+  "reassurance",
+  "recapturing",
+  "receptacles",
+  "reciprocals",
+  "reciprocate",
+  "recitations",
+  "reclamation",
+  "recognition",
+  "recognizing",
+  "recollected",
+  "recommended",
+  "recompensed",
+  "recompenses",
+  "recompiling",
+  "reconciling",
+  "recondition",
+  "reconfigure",
+  "reconnected",
+  "reconsiders",
+  "reconstruct",
+  "recoverable",
+  "recreations",
+  "recruitment",
+  "rectangular",
+  "recuperated",
+  "recuperates",
+  "recurrences",
+  "recursively",
+  "redesigning",
+  "redirecting",
+  "redirection",
+  "rediscovers",
+  "referencing",
+  "referendums",
+  "refinements",
+  "reflections",
+  "reformation",
+  "reformatted",
+  "refreshment",
+  "refrigerate",
+  "refurbished",
+  "refurbishes",
+  "regenerated",
+  "regenerates",
+  "regimenting",
+  "registering",
+  "regressions",
+  "regrettable",
+  "regrettably",
+  "regulations",
+  "regurgitate",
+  "reimbursing",
+  "reincarnate",
+  "reinforcing",
+  "reinstating",
+  "reiterating",
+  "reiteration",
+  "rejuvenated",
+  "rejuvenates",
+  "relaxations",
+  "reliability",
+  "religiously",
+  "relocatable",
+  "reluctantly",
+  "remembering",
+  "remembrance",
+  "reminiscent",
+  "reminiscing",
+  "remittances",
+  "remorseless",
+  "remunerated",
+  "remunerates",
+  "renaissance",
+  "renovations",
+  "reorganized",
+  "reorganizes",
+  "repatriated",
+  "repatriates",
+  "repertoires",
+  "repetitions",
+  "repetitious",
+  "replacement",
+  "replenished",
+  "replenishes",
+  "replicating",
+  "replication",
+  "represented",
+  "repressions",
+  "reprimanded",
+  "reproaching",
+  "reproducing",
+  "republicans",
+  "repudiating",
+  "repudiation",
+  "reputations",
+  "requirement",
+  "requisition",
+  "rescheduled",
+  "reschedules",
+  "researchers",
+  "researching",
+  "resemblance",
+  "resentments",
+  "reservation",
+  "residential",
+  "resignation",
+  "resistances",
+  "resolutions",
+  "resourceful",
+  "respectable",
+  "respectably",
+  "respiration",
+  "respirators",
+  "respiratory",
+  "resplendent",
+  "responsible",
+  "responsibly",
+  "restaurants",
+  "restfullest",
+  "restitution",
+  "restoration",
+  "restraining",
+  "restricting",
+  "restriction",
+  "restrictive",
+  "restructure",
+  "resubmitted",
+  "resumptions",
+  "resurfacing",
+  "resurgences",
+  "resurrected",
+  "resuscitate",
+  "retaliating",
+  "retaliation",
+  "retirements",
+  "retractions",
+  "retribution",
+  "retroactive",
+  "retrospects",
+  "returnables",
+  "revelations",
+  "reverberate",
+  "reverencing",
+  "revolutions",
+  "ricocheting",
+  "righteously",
+  "ringleaders",
+  "roadblocked",
+  "rotisseries",
+  "roughhoused",
+  "roughhouses",
+  "roundabouts",
+  "rudimentary",
+  "sacrificial",
+  "sacrificing",
+  "safeguarded",
+  "safekeeping",
+  "salespeople",
+  "salesperson",
+  "salutations",
+  "sanatoriums",
+  "sanctifying",
+  "sanctioning",
+  "sanctuaries",
+  "sandbagging",
+  "sandpapered",
+  "sandwiching",
+  "sanitariums",
+  "satelliting",
+  "scaffolding",
+  "scandalized",
+  "scandalizes",
+  "scapegoated",
+  "scholarship",
+  "schoolchild",
+  "scratchiest",
+  "screwdriver",
+  "scrutinized",
+  "scrutinizes",
+  "sculpturing",
+  "searchlight",
+  "seasickness",
+  "secondaries",
+  "secondarily",
+  "secretarial",
+  "secretaries",
+  "sedimentary",
+  "segregating",
+  "segregation",
+  "selectively",
+  "selfishness",
+  "semicircles",
+  "sensational",
+  "sensibility",
+  "sensitivity",
+  "sentimental",
+  "separations",
+  "sepulchered",
+  "seriousness",
+  "serviceable",
+  "settlements",
+  "seventeenth",
+  "shareholder",
+  "shellfishes",
+  "shepherding",
+  "shipwrecked",
+  "shoestrings",
+  "shopkeepers",
+  "shoplifters",
+  "shortcoming",
+  "shortenings",
+  "shotgunning",
+  "shouldering",
+  "shrubberies",
+  "sidestepped",
+  "sidetracked",
+  "significant",
+  "signposting",
+  "silhouetted",
+  "silhouettes",
+  "silversmith",
+  "simplifying",
+  "simulations",
+  "singularity",
+  "sisterhoods",
+  "skateboards",
+  "skirmishing",
+  "skyrocketed",
+  "skyscrapers",
+  "slaughtered",
+  "slipperiest",
+  "slovenliest",
+  "smatterings",
+  "smithereens",
+  "smokestacks",
+  "snowballing",
+  "snowplowing",
+  "socializing",
+  "sociologist",
+  "solidifying",
+  "somersaults",
+  "sorceresses",
+  "soundproofs",
+  "southerlies",
+  "southerners",
+  "sovereignty",
+  "spacecrafts",
+  "spearheaded",
+  "specialists",
+  "specialized",
+  "specializes",
+  "specialties",
+  "spectacular",
+  "speculating",
+  "speculation",
+  "speculative",
+  "speculators",
+  "speedometer",
+  "spendthrift",
+  "spiritually",
+  "spitefuller",
+  "splattering",
+  "splendidest",
+  "splintering",
+  "spokeswoman",
+  "spokeswomen",
+  "sponsorship",
+  "spontaneity",
+  "spontaneous",
+  "spotlighted",
+  "spreadsheet",
+  "springboard",
+  "sprinklings",
+  "squandering",
+  "squirreling",
+  "stabilizing",
+  "stalemating",
+  "standardize",
+  "standpoints",
+  "standstills",
+  "startlingly",
+  "statistical",
+  "stealthiest",
+  "steamroller",
+  "stenography",
+  "stepladders",
+  "stereotyped",
+  "stereotypes",
+  "sterilizing",
+  "stethoscope",
+  "stimulating",
+  "stimulation",
+  "stipulating",
+  "stipulation",
+  "stockbroker",
+  "stockholder",
+  "stockpiling",
+  "stopwatches",
+  "storehouses",
+  "storekeeper",
+  "straightens",
+  "straightest",
+  "strangeness",
+  "stratifying",
+  "streamlined",
+  "streamlines",
+  "strengthens",
+  "strenuously",
+  "strongholds",
+  "structuring",
+  "stubbornest",
+  "studentship",
+  "stupidities",
+  "subdividing",
+  "subdivision",
+  "subjugating",
+  "subjunctive",
+  "submissions",
+  "subordinate",
+  "subroutines",
+  "subscribers",
+  "subscribing",
+  "subsections",
+  "subservient",
+  "subsidizing",
+  "subsistence",
+  "substandard",
+  "substantial",
+  "substituted",
+  "substitutes",
+  "subterfuges",
+  "subtracting",
+  "subtraction",
+  "subversives",
+  "successions",
+  "succinctest",
+  "suffocating",
+  "suffocation",
+  "suggestions",
+  "suitability",
+  "summarizing",
+  "superficial",
+  "superfluous",
+  "superimpose",
+  "superiority",
+  "superlative",
+  "supermarket",
+  "superscript",
+  "superseding",
+  "supervising",
+  "supervision",
+  "supervisors",
+  "supervisory",
+  "supplanting",
+  "supplements",
+  "supposition",
+  "suppressing",
+  "suppression",
+  "surcharging",
+  "surfboarded",
+  "surmounting",
+  "surplussing",
+  "surrendered",
+  "surrounding",
+  "susceptible",
+  "suspensions",
+  "sustainable",
+  "sweepstakes",
+  "sweethearts",
+  "switchboard",
+  "swordfishes",
+  "symbolizing",
+  "symmetrical",
+  "sympathetic",
+  "sympathized",
+  "sympathizes",
+  "symptomatic",
+  "synchronize",
+  "synchronous",
+  "syndicating",
+  "synthesized",
+  "synthesizer",
+  "synthesizes",
+  "tabernacles",
+  "tablecloths",
+  "tablespoons",
+  "tambourines",
+  "tantalizing",
+  "technically",
+  "technicians",
+  "teetotalers",
+  "telegraphed",
+  "telephoning",
+  "telescoping",
+  "televisions",
+  "temperament",
+  "temperature",
+  "tempestuous",
+  "temporaries",
+  "temporarily",
+  "temptations",
+  "tenderizing",
+  "tentatively",
+  "terminating",
+  "termination",
+  "terminators",
+  "terminology",
+  "terrestrial",
+  "territorial",
+  "territories",
+  "terrorizing",
+  "testimonial",
+  "testimonies",
+  "theologians",
+  "theological",
+  "theoretical",
+  "therapeutic",
+  "thereabouts",
+  "thermometer",
+  "thermostats",
+  "thesauruses",
+  "thicknesses",
+  "thirteenths",
+  "thoroughest",
+  "thoughtless",
+  "thousandths",
+  "threatening",
+  "thunderbolt",
+  "timekeepers",
+  "titillating",
+  "tobogganing",
+  "tomahawking",
+  "tonsillitis",
+  "toothpastes",
+  "tournaments",
+  "tourniquets",
+  "townspeople",
+  "trademarked",
+  "traditional",
+  "trafficking",
+  "trampolines",
+  "tranquilest",
+  "tranquility",
+  "tranquilize",
+  "transacting",
+  "transaction",
+  "transcended",
+  "transcribed",
+  "transcribes",
+  "transcripts",
+  "transferred",
+  "transformed",
+  "transformer",
+  "transfusion",
+  "transistors",
+  "transitions",
+  "transitives",
+  "translating",
+  "translation",
+  "translators",
+  "translucent",
+  "transmitted",
+  "transmitter",
+  "transparent",
+  "transpiring",
+  "transplants",
+  "transported",
+  "transposing",
+  "transverses",
+  "traumatized",
+  "traumatizes",
+  "travestying",
+  "treacheries",
+  "treacherous",
+  "trepidation",
+  "trespassers",
+  "trespassing",
+  "tribulation",
+  "tributaries",
+  "triplicated",
+  "triplicates",
+  "troublesome",
+  "trustworthy",
+  "turtlenecks",
+  "typesetting",
+  "typewriters",
+  "typographic",
+  "tyrannizing",
+  "ultraviolet",
+  "unambiguous",
+  "unanimously",
+  "unavailable",
+  "unavoidable",
+  "unbelievers",
+  "unbreakable",
+  "unburdening",
+  "uncertainty",
+  "unchristian",
+  "uncommonest",
+  "unconcerned",
+  "unconfirmed",
+  "unconnected",
+  "unconscious",
+  "unconvinced",
+  "uncountable",
+  "undecidable",
+  "underground",
+  "undergrowth",
+  "underhanded",
+  "underlining",
+  "undermining",
+  "underneaths",
+  "underpasses",
+  "underrating",
+  "underscored",
+  "underscores",
+  "undershirts",
+  "understands",
+  "understated",
+  "understates",
+  "undertakers",
+  "undertaking",
+  "underweight",
+  "underworlds",
+  "underwrites",
+  "undesirable",
+  "undeveloped",
+  "undisturbed",
+  "undoubtedly",
+  "unequivocal",
+  "unexplained",
+  "unfastening",
+  "unfavorable",
+  "unfortunate",
+  "ungainliest",
+  "unhappiness",
+  "unhealthier",
+  "unification",
+  "unimportant",
+  "unimpressed",
+  "uninhibited",
+  "uninitiated",
+  "uninspiring",
+  "universally",
+  "unjustified",
+  "unkindliest",
+  "unlikeliest",
+  "unmitigated",
+  "unnecessary",
+  "unprintable",
+  "unprotected",
+  "unpublished",
+  "unqualified",
+  "unrealistic",
+  "unrelenting",
+  "unsatisfied",
+  "unscheduled",
+  "unseemliest",
+  "unsightlier",
+  "unsolicited",
+  "unspeakable",
+  "unspecified",
+  "unsupported",
+  "unthinkable",
+  "unwarranted",
+  "unwieldiest",
+  "unwittingly",
+  "upbringings",
+  "upholstered",
+  "upholsterer",
+  "uselessness",
+  "utilitarian",
+  "utilization",
+  "vacationing",
+  "vaccinating",
+  "vaccination",
+  "vacillating",
+  "vagabonding",
+  "vandalizing",
+  "vanquishing",
+  "vegetarians",
+  "ventilating",
+  "ventilation",
+  "ventilators",
+  "vernaculars",
+  "versatility",
+  "vertebrates",
+  "vicariously",
+  "victimizing",
+  "videotaping",
+  "vindicating",
+  "visionaries",
+  "visitations",
+  "visualizing",
+  "vivaciously",
+  "vivisection",
+  "volleyballs",
+  "voluntaries",
+  "voluntarily",
+  "volunteered",
+  "vulgarities",
+  "wallpapered",
+  "warehousing",
+  "warrantying",
+  "wastebasket",
+  "watercolors",
+  "waterfronts",
+  "waterlogged",
+  "watermarked",
+  "watermelons",
+  "waterproofs",
+  "wavelengths",
+  "wheelbarrow",
+  "wheelchairs",
+  "whereabouts",
+  "wherewithal",
+  "whitewashed",
+  "whitewashes",
+  "wholesalers",
+  "wholesaling",
+  "wildcatting",
+  "willingness",
+  "windmilling",
+  "windowpanes",
+  "windscreens",
+  "windshields",
+  "wisecracked",
+  "withdrawals",
+  "withdrawing",
+  "withholding",
+  "wonderfully",
+  "wonderlands",
+  "woodpeckers",
+  "workbenches",
+  "workmanship",
+  "workstation",
+  "wretchedest",
+  "wrongdoings"
+];
+
+/**
+ * Other accepted 11-letter guesses
+ * Total: 2322 words
+ */
+export const VALID_GUESSES_LIST = [
+  "abjurations",
+  "abominating",
+  "aboriginals",
+  "abortionist",
+  "abracadabra",
+  "abridgments",
+  "abrogations",
+  "absenteeism",
+  "abusiveness",
+  "academician",
+  "accessioned",
+  "acclamation",
+  "acclimation",
+  "accumulator",
+  "accusatives",
+  "acquiescent",
+  "acquirement",
+  "acquisitive",
+  "actualizing",
+  "addressable",
+  "adjudicated",
+  "adjudicates",
+  "adjudicator",
+  "adjurations",
+  "adulterants",
+  "adumbrating",
+  "adumbration",
+  "adventuress",
+  "adversarial",
+  "aeronautics",
+  "afforesting",
+  "aficionados",
+  "afterbirths",
+  "afterburner",
+  "aftershaves",
+  "aftershocks",
+  "aftertastes",
+  "agglomerate",
+  "agglutinate",
+  "aggrandized",
+  "aggrandizes",
+  "aggregation",
+  "agonizingly",
+  "agronomists",
+  "aimlessness",
+  "airbrushing",
+  "airdropping",
+  "airsickness",
+  "albatrosses",
+  "algorithmic",
+  "alleviation",
+  "alphabetize",
+  "altercation",
+  "alternators",
+  "amaryllises",
+  "ameliorated",
+  "ameliorates",
+  "amicability",
+  "amorousness",
+  "amorphously",
+  "analogously",
+  "anarchistic",
+  "anchorwoman",
+  "anchorwomen",
+  "ancillaries",
+  "androgynous",
+  "anemometers",
+  "anesthetist",
+  "anesthetize",
+  "angelically",
+  "angioplasty",
+  "angiosperms",
+  "annihilator",
+  "antecedents",
+  "antechamber",
+  "anthologist",
+  "anthologize",
+  "anthropoids",
+  "anticyclone",
+  "antiphonals",
+  "antiquarian",
+  "antiquaries",
+  "antislavery",
+  "aphrodisiac",
+  "apocalypses",
+  "apocalyptic",
+  "appellation",
+  "appertained",
+  "apportioned",
+  "appositives",
+  "appreciably",
+  "approbation",
+  "approvingly",
+  "aquaculture",
+  "aquaplaning",
+  "arborvitaes",
+  "archaically",
+  "archdeacons",
+  "archdiocese",
+  "archenemies",
+  "arduousness",
+  "arraignment",
+  "artlessness",
+  "asininities",
+  "assemblages",
+  "assemblyman",
+  "assemblymen",
+  "assertively",
+  "asseverated",
+  "asseverates",
+  "assiduously",
+  "assignation",
+  "astigmatism",
+  "astringency",
+  "astrologers",
+  "attenuating",
+  "attenuation",
+  "attestation",
+  "attributive",
+  "audaciously",
+  "audiophiles",
+  "audiovisual",
+  "autoworkers",
+  "avoirdupois",
+  "babysitters",
+  "babysitting",
+  "backpackers",
+  "backpedaled",
+  "backslapper",
+  "backslashes",
+  "backsliders",
+  "backsliding",
+  "backspacing",
+  "backstopped",
+  "backstories",
+  "backstretch",
+  "backstroked",
+  "backstrokes",
+  "badmouthing",
+  "balloonists",
+  "ballplayers",
+  "ballyhooing",
+  "balustrades",
+  "bankrolling",
+  "barbarities",
+  "barbarously",
+  "barbershops",
+  "barnstormed",
+  "bashfulness",
+  "bassoonists",
+  "bastardized",
+  "bastardizes",
+  "battlements",
+  "beachcomber",
+  "beastliness",
+  "beauteously",
+  "beautifiers",
+  "bedevilment",
+  "bedraggling",
+  "beguilingly",
+  "beleaguered",
+  "bellicosity",
+  "bellwethers",
+  "bellyaching",
+  "bellybutton",
+  "benefaction",
+  "beneficence",
+  "besmirching",
+  "bestsellers",
+  "bibliophile",
+  "bifurcating",
+  "bifurcation",
+  "bilaterally",
+  "billionaire",
+  "bimonthlies",
+  "biochemists",
+  "biofeedback",
+  "birdbrained",
+  "birdwatcher",
+  "birthrights",
+  "birthstones",
+  "bisexuality",
+  "bivouacking",
+  "blackballed",
+  "blackguards",
+  "blackthorns",
+  "blamelessly",
+  "blameworthy",
+  "blasphemers",
+  "blessedness",
+  "blindsiding",
+  "blockhouses",
+  "bloodlessly",
+  "bloodmobile",
+  "bloodstains",
+  "bloodsucker",
+  "bluebottles",
+  "bluejackets",
+  "blunderbuss",
+  "boilerplate",
+  "bombardiers",
+  "bookmobiles",
+  "booksellers",
+  "bookshelves",
+  "boondoggled",
+  "boondoggles",
+  "bootleggers",
+  "borderlands",
+  "bountifully",
+  "bowdlerized",
+  "bowdlerizes",
+  "boysenberry",
+  "brainteaser",
+  "breadbasket",
+  "breadfruits",
+  "breastbones",
+  "breastplate",
+  "breastworks",
+  "bricklaying",
+  "bridgeheads",
+  "brigantines",
+  "brittleness",
+  "broadcaster",
+  "broadswords",
+  "brontosaurs",
+  "broomsticks",
+  "brownstones",
+  "brusqueness",
+  "brutalizing",
+  "buccaneered",
+  "bucktoothed",
+  "budgerigars",
+  "bulletproof",
+  "bullfinches",
+  "bullshitted",
+  "burglarized",
+  "burglarizes",
+  "burlesquing",
+  "bushwhacked",
+  "bushwhacker",
+  "cacophonies",
+  "cacophonous",
+  "caffeinated",
+  "calibrators",
+  "calisthenic",
+  "callousness",
+  "calumniated",
+  "calumniates",
+  "camerawoman",
+  "camerawomen",
+  "campgrounds",
+  "candelabras",
+  "candelabrum",
+  "candlelight",
+  "cannibalize",
+  "cannonading",
+  "cannonballs",
+  "cantilevers",
+  "canvasbacks",
+  "capaciously",
+  "caparisoned",
+  "cappuccinos",
+  "captaincies",
+  "captivation",
+  "carbonating",
+  "carbonation",
+  "carcinogens",
+  "cardiograms",
+  "carjackings",
+  "carsickness",
+  "caseworkers",
+  "castigation",
+  "castigators",
+  "castrations",
+  "catafalques",
+  "cataleptics",
+  "catchphrase",
+  "catechizing",
+  "caterwauled",
+  "catholicity",
+  "causalities",
+  "caustically",
+  "cauterizing",
+  "celebratory",
+  "centenarian",
+  "centenaries",
+  "centerfolds",
+  "centiliters",
+  "centrifugal",
+  "centrifuged",
+  "centrifuges",
+  "centripetal",
+  "cerebellums",
+  "certifiable",
+  "chaffinches",
+  "chainsawing",
+  "chalkboards",
+  "chamberlain",
+  "chambermaid",
+  "chancellery",
+  "changelings",
+  "changeovers",
+  "chanticleer",
+  "chaotically",
+  "charbroiled",
+  "charioteers",
+  "cheapskates",
+  "checkmating",
+  "checkpoints",
+  "cheerleader",
+  "cheerlessly",
+  "cheesecakes",
+  "chessboards",
+  "chiaroscuro",
+  "chicaneries",
+  "childproofs",
+  "chinchillas",
+  "chiropodist",
+  "chitchatted",
+  "chlorinated",
+  "chlorinates",
+  "choreograph",
+  "chroniclers",
+  "chronometer",
+  "chrysalises",
+  "churchgoers",
+  "churchyards",
+  "circularity",
+  "circularize",
+  "circumspect",
+  "clapboarded",
+  "clarinetist",
+  "classically",
+  "classicists",
+  "classifieds",
+  "clavichords",
+  "clergywoman",
+  "clergywomen",
+  "cliffhanger",
+  "clodhoppers",
+  "closefisted",
+  "clothesline",
+  "cloverleafs",
+  "coalescence",
+  "coauthoring",
+  "cobblestone",
+  "cockleshell",
+  "cocksuckers",
+  "codependent",
+  "coeducation",
+  "coffeecakes",
+  "coffeehouse",
+  "collectible",
+  "collocating",
+  "collocation",
+  "colloquiums",
+  "colonialism",
+  "colonialist",
+  "colonoscopy",
+  "coloraturas",
+  "comediennes",
+  "comeuppance",
+  "commendably",
+  "commentated",
+  "commentates",
+  "commingling",
+  "communicant",
+  "communistic",
+  "commutation",
+  "compactness",
+  "compendiums",
+  "complacence",
+  "complainant",
+  "complainers",
+  "complaisant",
+  "comportment",
+  "compositors",
+  "compressors",
+  "comptroller",
+  "concavities",
+  "concertinas",
+  "conciliator",
+  "concomitant",
+  "conditioner",
+  "conferments",
+  "confessedly",
+  "confidantes",
+  "confluences",
+  "conformance",
+  "conformists",
+  "confusingly",
+  "congenially",
+  "congruities",
+  "conjectural",
+  "conjunctive",
+  "conjuncture",
+  "connectives",
+  "connotative",
+  "conscripted",
+  "conservator",
+  "consonances",
+  "constipated",
+  "constipates",
+  "constrictor",
+  "constructor",
+  "consumptive",
+  "contactable",
+  "containment",
+  "contaminant",
+  "contentedly",
+  "continuance",
+  "contractile",
+  "contravened",
+  "contretemps",
+  "contrivance",
+  "controverts",
+  "contumelies",
+  "conurbation",
+  "convocation",
+  "convolution",
+  "copycatting",
+  "copywriters",
+  "cornerstone",
+  "cornflowers",
+  "cornucopias",
+  "corollaries",
+  "correctable",
+  "correctives",
+  "correlative",
+  "corrugating",
+  "corrugation",
+  "corruptness",
+  "coruscating",
+  "cosignatory",
+  "cosmetology",
+  "cosmogonies",
+  "cosmologies",
+  "cosmologist",
+  "cosponsored",
+  "cottonmouth",
+  "cottonseeds",
+  "counselings",
+  "countermand",
+  "counterpane",
+  "countersink",
+  "countersunk",
+  "countrified",
+  "courtliness",
+  "cowpunchers",
+  "crackerjack",
+  "crankshafts",
+  "crawlspaces",
+  "creationism",
+  "credulously",
+  "crematories",
+  "crematorium",
+  "criminology",
+  "crookedness",
+  "crossbreeds",
+  "crosschecks",
+  "crosspieces",
+  "crowdfunded",
+  "cryptically",
+  "cryptograms",
+  "crystalline",
+  "culpability",
+  "cultivators",
+  "cummerbunds",
+  "cunnilingus",
+  "curmudgeons",
+  "currycombed",
+  "curtailment",
+  "customarily",
+  "dauntlessly",
+  "daydreamers",
+  "deaconesses",
+  "deactivated",
+  "deactivates",
+  "deadpanning",
+  "dealerships",
+  "debarkation",
+  "debriefings",
+  "decelerated",
+  "decelerates",
+  "deceptively",
+  "declamation",
+  "declamatory",
+  "declarative",
+  "declensions",
+  "declination",
+  "declivities",
+  "decolonized",
+  "decolonizes",
+  "decremented",
+  "decrepitude",
+  "decrescendo",
+  "deductibles",
+  "deescalated",
+  "deescalates",
+  "defensively",
+  "defoliating",
+  "defoliation",
+  "deforesting",
+  "deformation",
+  "dehumanized",
+  "dehumanizes",
+  "dehydration",
+  "deification",
+  "delectation",
+  "deleveraged",
+  "deleverages",
+  "delineating",
+  "delineation",
+  "delphiniums",
+  "demagnetize",
+  "demagoguery",
+  "demarcating",
+  "demarcation",
+  "demobilized",
+  "demobilizes",
+  "democratize",
+  "demographer",
+  "demographic",
+  "deniability",
+  "denigrating",
+  "denigration",
+  "denominated",
+  "denominates",
+  "denotations",
+  "denouements",
+  "dentifrices",
+  "deodorizers",
+  "deployments",
+  "depopulated",
+  "depopulates",
+  "depositions",
+  "deprecation",
+  "deprecatory",
+  "depredation",
+  "depressants",
+  "depressives",
+  "deputations",
+  "derangement",
+  "deregulated",
+  "deregulates",
+  "dereliction",
+  "dermatology",
+  "desalinated",
+  "desalinates",
+  "desegregate",
+  "desensitize",
+  "desiccating",
+  "desiccation",
+  "desideratum",
+  "desperadoes",
+  "despondency",
+  "destructing",
+  "determinant",
+  "determinate",
+  "determiners",
+  "detestation",
+  "detoxifying",
+  "devaluation",
+  "deviousness",
+  "devotionals",
+  "dexterously",
+  "diacritical",
+  "diametrical",
+  "dichotomies",
+  "diffidently",
+  "diffraction",
+  "diffuseness",
+  "dilettantes",
+  "diminuendos",
+  "diminutions",
+  "dipsomaniac",
+  "directional",
+  "directorate",
+  "directorial",
+  "disablement",
+  "disaffected",
+  "disarranged",
+  "disarranges",
+  "disassemble",
+  "discernment",
+  "disclaimers",
+  "discomfited",
+  "discommoded",
+  "discommodes",
+  "discomposed",
+  "discomposes",
+  "discotheque",
+  "discoverers",
+  "discussants",
+  "disembodied",
+  "disembodies",
+  "disembowels",
+  "disenchants",
+  "disencumber",
+  "disgustedly",
+  "disheveling",
+  "disinclined",
+  "disinclines",
+  "disinterest",
+  "disinterred",
+  "disobliging",
+  "disorganize",
+  "disoriented",
+  "dispatchers",
+  "dispensable",
+  "dispiriting",
+  "displayable",
+  "disputation",
+  "dissembling",
+  "dissimulate",
+  "dissolutely",
+  "distensions",
+  "distentions",
+  "distillates",
+  "distressful",
+  "doctrinaire",
+  "dogcatchers",
+  "dogtrotting",
+  "domineering",
+  "doubtlessly",
+  "dovetailing",
+  "downloading",
+  "downplaying",
+  "downtrodden",
+  "drawstrings",
+  "dreadnought",
+  "dressmaking",
+  "dromedaries",
+  "dubiousness",
+  "dumbwaiters",
+  "duplicators",
+  "dysfunction",
+  "earthenware",
+  "easternmost",
+  "eclecticism",
+  "econometric",
+  "edification",
+  "editorially",
+  "effectually",
+  "effectuated",
+  "effectuates",
+  "effervesced",
+  "effervesces",
+  "efficacious",
+  "egocentrics",
+  "egotistical",
+  "egregiously",
+  "eigenvalues",
+  "electioneer",
+  "electrolyte",
+  "electronica",
+  "elephantine",
+  "elongations",
+  "elucidating",
+  "elucidation",
+  "elusiveness",
+  "emancipator",
+  "emasculated",
+  "emasculates",
+  "embarkation",
+  "emblazoning",
+  "emboldening",
+  "emendations",
+  "empathizing",
+  "empirically",
+  "emplacement",
+  "empowerment",
+  "emulsifying",
+  "encampments",
+  "enchantress",
+  "encyclicals",
+  "endearingly",
+  "endlessness",
+  "enforceable",
+  "enfranchise",
+  "ennoblement",
+  "enrapturing",
+  "enshrouding",
+  "enslavement",
+  "entitlement",
+  "envelopment",
+  "enviousness",
+  "envisioning",
+  "epitomizing",
+  "equidistant",
+  "equinoctial",
+  "equivocally",
+  "equivocated",
+  "equivocates",
+  "eradication",
+  "erythrocyte",
+  "escalations",
+  "escarpments",
+  "eschatology",
+  "escutcheons",
+  "espadrilles",
+  "ethnologist",
+  "etymologist",
+  "euphemistic",
+  "evangelized",
+  "evangelizes",
+  "evasiveness",
+  "eventuating",
+  "eviscerated",
+  "eviscerates",
+  "exclamatory",
+  "exclusivity",
+  "excoriating",
+  "excoriation",
+  "excrescence",
+  "exculpating",
+  "executrices",
+  "exhalations",
+  "exhaustible",
+  "exhumations",
+  "exorbitance",
+  "expansively",
+  "expatiating",
+  "expectantly",
+  "expectorant",
+  "expectorate",
+  "expediences",
+  "expediently",
+  "expeditious",
+  "expensively",
+  "explicating",
+  "explication",
+  "exploratory",
+  "explosively",
+  "exportation",
+  "expostulate",
+  "expressible",
+  "expropriate",
+  "expurgating",
+  "expurgation",
+  "exquisitely",
+  "extemporize",
+  "extensional",
+  "extenuating",
+  "extenuation",
+  "extirpating",
+  "extirpation",
+  "extrication",
+  "extroverted",
+  "exuberantly",
+  "facetiously",
+  "factorizing",
+  "fairgrounds",
+  "faithlessly",
+  "fallibility",
+  "falsifiable",
+  "falteringly",
+  "fanatically",
+  "fantasizing",
+  "farinaceous",
+  "fashionista",
+  "fatuousness",
+  "faultlessly",
+  "fearfulness",
+  "featureless",
+  "fetishistic",
+  "feudalistic",
+  "fiduciaries",
+  "filamentous",
+  "filibusters",
+  "filigreeing",
+  "fingerboard",
+  "firebombing",
+  "fishtailing",
+  "flabbergast",
+  "flagellated",
+  "flagellates",
+  "flannelette",
+  "flightiness",
+  "flimflammed",
+  "floorboards",
+  "floweriness",
+  "fluorescing",
+  "fluoridated",
+  "fluoridates",
+  "fluoroscope",
+  "flycatchers",
+  "flyspecking",
+  "flyswatters",
+  "fomentation",
+  "footballers",
+  "footbridges",
+  "footlockers",
+  "forecasters",
+  "forecastles",
+  "foreclosing",
+  "foreclosure",
+  "foreordains",
+  "foreshorten",
+  "forestation",
+  "forevermore",
+  "forgathered",
+  "forgetfully",
+  "forgettable",
+  "fornicating",
+  "forwardness",
+  "foxtrotting",
+  "fractiously",
+  "franchisees",
+  "franchisers",
+  "fraternally",
+  "fratricides",
+  "fraudulence",
+  "freebooters",
+  "freeholders",
+  "freelancers",
+  "freelancing",
+  "freeloaders",
+  "freeloading",
+  "freethinker",
+  "freewheeled",
+  "fretfulness",
+  "frivolously",
+  "fructifying",
+  "fulminating",
+  "fulmination",
+  "functionary",
+  "furtherance",
+  "furthermost",
+  "fussbudgets",
+  "gallbladder",
+  "gamekeepers",
+  "garrulously",
+  "gastronomic",
+  "gatecrasher",
+  "genealogist",
+  "generically",
+  "gentlemanly",
+  "gentlewoman",
+  "gentlewomen",
+  "gentrifying",
+  "genuflected",
+  "geographers",
+  "geometrical",
+  "geophysical",
+  "geopolitics",
+  "gerontology",
+  "gerrymander",
+  "ghastliness",
+  "ghostliness",
+  "ghostwriter",
+  "ghostwrites",
+  "gingersnaps",
+  "glamorously",
+  "glimmerings",
+  "goaltenders",
+  "goddaughter",
+  "godforsaken",
+  "goldbricked",
+  "goldfinches",
+  "gracelessly",
+  "grammarians",
+  "granularity",
+  "granulating",
+  "granulation",
+  "greasepaint",
+  "greengrocer",
+  "griddlecake",
+  "grotesquely",
+  "grouchiness",
+  "groundswell",
+  "guarantying",
+  "guardhouses",
+  "guesstimate",
+  "gullibility",
+  "gunslingers",
+  "guttersnipe",
+  "gymnosperms",
+  "haberdasher",
+  "habituating",
+  "habituation",
+  "hacktivists",
+  "hairbreadth",
+  "hairbrushes",
+  "hairsprings",
+  "hairstylist",
+  "halfhearted",
+  "halfpennies",
+  "hallucinate",
+  "hammerheads",
+  "handcrafted",
+  "handicapper",
+  "handmaidens",
+  "handpicking",
+  "handshaking",
+  "handsprings",
+  "handwritten",
+  "haphazardly",
+  "hardhearted",
+  "harmfulness",
+  "hatefulness",
+  "headdresses",
+  "headhunters",
+  "headmasters",
+  "headwaiters",
+  "healthfully",
+  "healthiness",
+  "heartlessly",
+  "heartthrobs",
+  "heavenwards",
+  "heinousness",
+  "heliotropes",
+  "helpfulness",
+  "hemispheric",
+  "hemophiliac",
+  "hemorrhoids",
+  "hemstitched",
+  "hemstitches",
+  "herringbone",
+  "hiccoughing",
+  "hideousness",
+  "highfalutin",
+  "highlighter",
+  "hightailing",
+  "hilariously",
+  "hindquarter",
+  "histrionics",
+  "holographic",
+  "homecomings",
+  "homeopathic",
+  "homesteader",
+  "homestretch",
+  "homewrecker",
+  "homogeneity",
+  "honeymooner",
+  "honorariums",
+  "hooliganism",
+  "hopefulness",
+  "hostilities",
+  "hotheadedly",
+  "housebreaks",
+  "housebroken",
+  "housecleans",
+  "householder",
+  "housemother",
+  "houseplants",
+  "huckleberry",
+  "huckstering",
+  "humidifiers",
+  "hunchbacked",
+  "hundredfold",
+  "hybridizing",
+  "hydrocarbon",
+  "hydrogenate",
+  "hydrometers",
+  "hydrophobia",
+  "hydroponics",
+  "hydrosphere",
+  "hygrometers",
+  "hyperactive",
+  "hyperlinked",
+  "hypermarket",
+  "hypodermics",
+  "hypothalami",
+  "hypothermia",
+  "iconoclasts",
+  "ideologists",
+  "idiotically",
+  "ignominious",
+  "ignoramuses",
+  "illicitness",
+  "illogically",
+  "immortalize",
+  "impassively",
+  "impassivity",
+  "impeachment",
+  "impecunious",
+  "impedimenta",
+  "impenitence",
+  "imperiously",
+  "impermanent",
+  "impermeable",
+  "impetuosity",
+  "impingement",
+  "implausibly",
+  "importunate",
+  "importuning",
+  "importunity",
+  "imprecation",
+  "imprecisely",
+  "imprecision",
+  "impregnably",
+  "impresarios",
+  "imprimaturs",
+  "improvident",
+  "imputations",
+  "inattention",
+  "inattentive",
+  "inclusively",
+  "inconstancy",
+  "incontinent",
+  "incorporeal",
+  "inculcating",
+  "inculcation",
+  "inculpating",
+  "indefinably",
+  "indemnified",
+  "indemnifies",
+  "indemnities",
+  "indenturing",
+  "indivisibly",
+  "indomitably",
+  "indubitable",
+  "indubitably",
+  "indulgently",
+  "inebriating",
+  "inebriation",
+  "inelegantly",
+  "ineluctable",
+  "ineluctably",
+  "inequitable",
+  "inescapably",
+  "inessential",
+  "inestimable",
+  "inestimably",
+  "inexcusably",
+  "inexpedient",
+  "infanticide",
+  "infantryman",
+  "infantrymen",
+  "infatuating",
+  "inferential",
+  "infertility",
+  "infiltrator",
+  "inflatables",
+  "infomercial",
+  "infrequency",
+  "ingenuously",
+  "inhabitable",
+  "inhalations",
+  "injudicious",
+  "innocuously",
+  "inquiringly",
+  "inquisitors",
+  "inscrutably",
+  "insectivore",
+  "inseminated",
+  "inseminates",
+  "insentience",
+  "inseparably",
+  "insidiously",
+  "insistently",
+  "insouciance",
+  "instigators",
+  "insuperable",
+  "insurgences",
+  "integuments",
+  "intemperate",
+  "intensifier",
+  "intensively",
+  "interbreeds",
+  "interceptor",
+  "intercessor",
+  "interdicted",
+  "interlacing",
+  "interlarded",
+  "interleaved",
+  "interleaves",
+  "interleukin",
+  "interlinked",
+  "intermezzos",
+  "internalize",
+  "internecine",
+  "internships",
+  "interoffice",
+  "interpolate",
+  "interrelate",
+  "interstices",
+  "interviewee",
+  "intoxicants",
+  "intricately",
+  "introverted",
+  "investiture",
+  "invidiously",
+  "ionospheres",
+  "irradiation",
+  "irregularly",
+  "irrelevancy",
+  "irreligious",
+  "irreparably",
+  "itemization",
+  "jackhammers",
+  "jackrabbits",
+  "jawbreakers",
+  "jinrikishas",
+  "joblessness",
+  "juggernauts",
+  "kettledrums",
+  "keybindings",
+  "keyboarders",
+  "keypunching",
+  "kidnappings",
+  "kindhearted",
+  "kitchenware",
+  "kleptomania",
+  "knickknacks",
+  "knockwursts",
+  "knucklehead",
+  "kookaburras",
+  "laconically",
+  "ladyfingers",
+  "landholders",
+  "landlubbers",
+  "landscapers",
+  "latitudinal",
+  "latticework",
+  "laundresses",
+  "lawbreakers",
+  "lawlessness",
+  "leaseholder",
+  "leatherneck",
+  "lecherously",
+  "legerdemain",
+  "legionnaire",
+  "legitimized",
+  "legitimizes",
+  "leprechauns",
+  "levelheaded",
+  "librettists",
+  "licentiates",
+  "lieutenancy",
+  "lightheaded",
+  "likableness",
+  "linebackers",
+  "lingeringly",
+  "lionhearted",
+  "liposuction",
+  "liquidators",
+  "liquidizing",
+  "lithographs",
+  "lithography",
+  "lithosphere",
+  "loggerheads",
+  "lollygagged",
+  "loudmouthed",
+  "lubricators",
+  "lucratively",
+  "lumberyards",
+  "luminescent",
+  "luxuriantly",
+  "luxuriously",
+  "machination",
+  "macrobiotic",
+  "maddeningly",
+  "magisterial",
+  "maidenheads",
+  "maidservant",
+  "mainsprings",
+  "mainstreams",
+  "malapropism",
+  "malcontents",
+  "malediction",
+  "malefactors",
+  "malfeasance",
+  "malignantly",
+  "malingerers",
+  "malingering",
+  "mammography",
+  "manipulator",
+  "mannishness",
+  "manumitting",
+  "marathoners",
+  "marchioness",
+  "marvelously",
+  "masculinity",
+  "masochistic",
+  "masquerader",
+  "massiveness",
+  "masterfully",
+  "masterworks",
+  "mastication",
+  "masturbated",
+  "masturbates",
+  "matchmaking",
+  "matchsticks",
+  "meadowlarks",
+  "measureless",
+  "mechanistic",
+  "medicinally",
+  "megalomania",
+  "megalopolis",
+  "melancholia",
+  "melancholic",
+  "mellifluous",
+  "melodically",
+  "melodiously",
+  "memorabilia",
+  "memorialize",
+  "menservants",
+  "mentholated",
+  "mercerizing",
+  "merchantman",
+  "merchantmen",
+  "meritocracy",
+  "meritorious",
+  "merrymakers",
+  "merrymaking",
+  "mesmerizing",
+  "metabolized",
+  "metabolizes",
+  "metacarpals",
+  "metamorphic",
+  "metastasize",
+  "metatarsals",
+  "metrication",
+  "middlebrows",
+  "midwiferies",
+  "militarists",
+  "militarized",
+  "militarizes",
+  "millenniums",
+  "milliliters",
+  "milquetoast",
+  "mimeographs",
+  "mindfulness",
+  "minesweeper",
+  "miniaturist",
+  "miniaturize",
+  "minimalists",
+  "ministrants",
+  "misalliance",
+  "misanthrope",
+  "misanthropy",
+  "misapplying",
+  "misbegotten",
+  "misconceive",
+  "miscounting",
+  "misdiagnose",
+  "miserliness",
+  "misfeasance",
+  "misgoverned",
+  "misguidedly",
+  "mishandling",
+  "misidentify",
+  "misjudgment",
+  "mismanaging",
+  "misogynists",
+  "misreadings",
+  "misspending",
+  "mistreating",
+  "mistrustful",
+  "mizzenmasts",
+  "modernistic",
+  "moisturized",
+  "moisturizer",
+  "moisturizes",
+  "molestation",
+  "mollycoddle",
+  "monarchical",
+  "monarchists",
+  "monasticism",
+  "moneymakers",
+  "moneymaking",
+  "monkeyshine",
+  "monochromes",
+  "monolingual",
+  "monomaniacs",
+  "monopolists",
+  "monotheists",
+  "monstrances",
+  "monstrously",
+  "moonlighter",
+  "mortarboard",
+  "motherboard",
+  "motherlands",
+  "motocrosses",
+  "motorbiking",
+  "motormouths",
+  "mountaintop",
+  "mountebanks",
+  "mouthwashes",
+  "mudslingers",
+  "mudslinging",
+  "multiplayer",
+  "multiplexed",
+  "multiplexer",
+  "multiplexes",
+  "multipliers",
+  "multiracial",
+  "multiverses",
+  "municipally",
+  "munificence",
+  "murderesses",
+  "murderously",
+  "muscularity",
+  "musculature",
+  "muskellunge",
+  "mythologist",
+  "nailbrushes",
+  "nanoseconds",
+  "naphthalene",
+  "narcissists",
+  "nasturtiums",
+  "necromancer",
+  "needlepoint",
+  "nefariously",
+  "nervelessly",
+  "neutralizer",
+  "nickelodeon",
+  "nightshades",
+  "nightshirts",
+  "nightsticks",
+  "nitrogenous",
+  "nocturnally",
+  "noisemakers",
+  "nonabrasive",
+  "nonbeliever",
+  "nondrinkers",
+  "nonexistent",
+  "nonpayments",
+  "nonphysical",
+  "nonplussing",
+  "nonseasonal",
+  "normalizing",
+  "northeaster",
+  "northerners",
+  "numerations",
+  "numismatics",
+  "numismatist",
+  "nymphomania",
+  "obfuscating",
+  "obliqueness",
+  "obliviously",
+  "obnoxiously",
+  "observantly",
+  "obsessively",
+  "obstetrical",
+  "obstinately",
+  "obtrusively",
+  "obviousness",
+  "occidentals",
+  "odoriferous",
+  "offensively",
+  "offertories",
+  "offhandedly",
+  "officialdom",
+  "officiously",
+  "oligarchies",
+  "omniscience",
+  "opalescence",
+  "opportunism",
+  "opprobrious",
+  "orderliness",
+  "organically",
+  "origination",
+  "orthodontia",
+  "orthodontic",
+  "orthodoxies",
+  "orthopedist",
+  "oscillators",
+  "outbalanced",
+  "outbalances",
+  "outbuilding",
+  "outcropping",
+  "outfielders",
+  "outflanking",
+  "outmaneuver",
+  "outperforms",
+  "outpourings",
+  "outreaching",
+  "outsourcing",
+  "outspokenly",
+  "overachieve",
+  "overanxious",
+  "overbalance",
+  "overbooking",
+  "overcooking",
+  "overdressed",
+  "overdresses",
+  "overexposed",
+  "overexposes",
+  "overextends",
+  "overindulge",
+  "overplaying",
+  "overproduce",
+  "overreached",
+  "overreaches",
+  "overselling",
+  "oversharing",
+  "overspreads",
+  "overstaying",
+  "overstocked",
+  "overstuffed",
+  "overthought",
+  "overweening",
+  "overzealous",
+  "oxygenating",
+  "oxygenation",
+  "pacesetters",
+  "pacifically",
+  "painkillers",
+  "palimpsests",
+  "palindromes",
+  "palindromic",
+  "palliatives",
+  "palpitating",
+  "palpitation",
+  "pamphleteer",
+  "pantheistic",
+  "paperhanger",
+  "parachutist",
+  "paragliding",
+  "parallelism",
+  "paramedical",
+  "parasailing",
+  "parenthetic",
+  "participial",
+  "particulate",
+  "parturition",
+  "passionless",
+  "patrimonial",
+  "patrolwoman",
+  "patrolwomen",
+  "patronymics",
+  "pauperizing",
+  "pedagogical",
+  "peevishness",
+  "pejoratives",
+  "penetrative",
+  "penitential",
+  "pennyweight",
+  "penologists",
+  "pensiveness",
+  "pentameters",
+  "pentathlons",
+  "peppercorns",
+  "perambulate",
+  "perceivable",
+  "percentiles",
+  "perceptibly",
+  "perennially",
+  "perfectible",
+  "perfumeries",
+  "pericardium",
+  "periodicity",
+  "periodontal",
+  "peripatetic",
+  "periphrases",
+  "periphrasis",
+  "peritoneums",
+  "peritonitis",
+  "periwinkles",
+  "permissibly",
+  "perorations",
+  "perquisites",
+  "persnickety",
+  "perspicuity",
+  "perspicuous",
+  "pertinacity",
+  "petitioners",
+  "pettifogged",
+  "pettifogger",
+  "philandered",
+  "philanderer",
+  "philatelist",
+  "philistines",
+  "philologist",
+  "philosophic",
+  "phonetician",
+  "phonologist",
+  "physiognomy",
+  "pianissimos",
+  "pianofortes",
+  "pictographs",
+  "pictorially",
+  "piggishness",
+  "pilothouses",
+  "pinfeathers",
+  "pinwheeling",
+  "piscatorial",
+  "pitchblende",
+  "pituitaries",
+  "placeholder",
+  "plaintively",
+  "pleasurably",
+  "plebiscites",
+  "pluperfects",
+  "pluralistic",
+  "pluralities",
+  "pluralizing",
+  "plutocratic",
+  "pocketknife",
+  "podiatrists",
+  "pointillism",
+  "pointillist",
+  "poisonously",
+  "politicized",
+  "politicizes",
+  "poltergeist",
+  "polyamories",
+  "polygamists",
+  "polygraphed",
+  "polyhedrons",
+  "polymorphic",
+  "polystyrene",
+  "polytheists",
+  "pompadoured",
+  "pompousness",
+  "ponderously",
+  "pontificate",
+  "porterhouse",
+  "portmanteau",
+  "portraitist",
+  "portraiture",
+  "postmortems",
+  "powerlessly",
+  "practicably",
+  "pragmatists",
+  "prearranged",
+  "prearranges",
+  "precipitant",
+  "preciseness",
+  "predeceased",
+  "predeceases",
+  "predestined",
+  "predestines",
+  "predication",
+  "predicative",
+  "predisposed",
+  "predisposes",
+  "preexisting",
+  "prefectures",
+  "prefiguring",
+  "prejudgment",
+  "premeditate",
+  "premonitory",
+  "preordained",
+  "prepackaged",
+  "prepackages",
+  "prepayments",
+  "prerecorded",
+  "preregister",
+  "preschooler",
+  "pressurized",
+  "pressurizes",
+  "presumptive",
+  "prettifying",
+  "prevaricate",
+  "priestliest",
+  "primitively",
+  "princeliest",
+  "prioritized",
+  "prioritizes",
+  "prizefights",
+  "probationer",
+  "proboscises",
+  "procreating",
+  "procreation",
+  "procreative",
+  "procurators",
+  "prodigality",
+  "profanation",
+  "profligates",
+  "progenitors",
+  "prognostics",
+  "prohibitory",
+  "promisingly",
+  "promotional",
+  "proofreader",
+  "propellants",
+  "prophylaxis",
+  "propinquity",
+  "propitiated",
+  "propitiates",
+  "propounding",
+  "prosaically",
+  "prosceniums",
+  "proscribing",
+  "proselyting",
+  "proselytize",
+  "prostration",
+  "protestants",
+  "prototyping",
+  "protraction",
+  "protuberant",
+  "providently",
+  "psychically",
+  "psychogenic",
+  "pterodactyl",
+  "publishable",
+  "pulchritude",
+  "punctilious",
+  "purchasable",
+  "purgatorial",
+  "purgatories",
+  "purportedly",
+  "purposeless",
+  "pussyfooted",
+  "putrescence",
+  "pyromaniacs",
+  "pyrotechnic",
+  "quadrennial",
+  "quantifiers",
+  "quantifying",
+  "quarterdeck",
+  "querulously",
+  "quesadillas",
+  "questioners",
+  "quicksilver",
+  "quintupling",
+  "quizzically",
+  "racecourses",
+  "racquetball",
+  "radiologist",
+  "rancorously",
+  "randomizing",
+  "rapaciously",
+  "rapscallion",
+  "rathskeller",
+  "rationalism",
+  "rationalist",
+  "rattletraps",
+  "raucousness",
+  "raunchiness",
+  "ravishingly",
+  "reactivated",
+  "reactivates",
+  "readerships",
+  "readmitting",
+  "reaffirming",
+  "reanimating",
+  "reappointed",
+  "reapportion",
+  "reappraisal",
+  "reappraised",
+  "reappraises",
+  "reassembled",
+  "reassembles",
+  "reasserting",
+  "reassessing",
+  "reassigning",
+  "reawakening",
+  "rebroadcast",
+  "recantation",
+  "receptively",
+  "receptivity",
+  "recessional",
+  "recidivists",
+  "reciprocity",
+  "recitatives",
+  "recombining",
+  "recommenced",
+  "recommences",
+  "reconnoiter",
+  "reconquered",
+  "reconvening",
+  "recriminate",
+  "rectifiable",
+  "rectilinear",
+  "recyclables",
+  "redecorated",
+  "redecorates",
+  "rededicated",
+  "rededicates",
+  "redeploying",
+  "redeveloped",
+  "rediscovery",
+  "redistricts",
+  "redoubtable",
+  "redundantly",
+  "reeducating",
+  "reeducation",
+  "reelections",
+  "reemphasize",
+  "reenactment",
+  "reenlisting",
+  "reestablish",
+  "reevaluated",
+  "reevaluates",
+  "reexamining",
+  "refashioned",
+  "refectories",
+  "referential",
+  "refinancing",
+  "refinishing",
+  "reflexively",
+  "reforesting",
+  "reformatory",
+  "reformulate",
+  "refrigerant",
+  "refurnished",
+  "refurnishes",
+  "refutations",
+  "regionalism",
+  "registrants",
+  "regretfully",
+  "regularized",
+  "regularizes",
+  "reinserting",
+  "reinstalled",
+  "reinterpret",
+  "reinventing",
+  "reinvesting",
+  "remaindered",
+  "remarriages",
+  "remonstrate",
+  "remortgaged",
+  "remortgages",
+  "renascences",
+  "renegotiate",
+  "renumbering",
+  "reoccupying",
+  "reoccurring",
+  "repackaging",
+  "reparations",
+  "repertories",
+  "replaceable",
+  "repossessed",
+  "repossesses",
+  "reprehended",
+  "reproachful",
+  "reprocessed",
+  "reprocesses",
+  "republished",
+  "republishes",
+  "repulsively",
+  "resentfully",
+  "reshuffling",
+  "residencies",
+  "respondents",
+  "restatement",
+  "restfulness",
+  "restiveness",
+  "restorative",
+  "resupplying",
+  "retaliatory",
+  "retardation",
+  "retractable",
+  "retrenching",
+  "retributive",
+  "retrievable",
+  "retrofitted",
+  "retrograded",
+  "retrogrades",
+  "retrorocket",
+  "reupholster",
+  "revaluation",
+  "reverential",
+  "revitalized",
+  "revitalizes",
+  "revivalists",
+  "revivifying",
+  "revocations",
+  "revoltingly",
+  "rhapsodized",
+  "rhapsodizes",
+  "rhetorician",
+  "rhinestones",
+  "ringmasters",
+  "ritualistic",
+  "roadrunners",
+  "robocalling",
+  "romanticism",
+  "romanticist",
+  "romanticize",
+  "rotogravure",
+  "roughnecked",
+  "roundhouses",
+  "roustabouts",
+  "routinizing",
+  "rubberizing",
+  "rubbernecks",
+  "ruminations",
+  "rustproofed",
+  "sabbaticals",
+  "sacramental",
+  "saintliness",
+  "salaciously",
+  "salamanders",
+  "salesclerks",
+  "salmonellae",
+  "saltcellars",
+  "saltshakers",
+  "salvageable",
+  "sandblasted",
+  "sandblaster",
+  "sandcastles",
+  "saprophytes",
+  "sarcophagus",
+  "sartorially",
+  "sassafrases",
+  "satanically",
+  "satirically",
+  "saxophonist",
+  "schismatics",
+  "schmaltzier",
+  "schoolbooks",
+  "schoolgirls",
+  "schoolhouse",
+  "schoolmarms",
+  "schoolmates",
+  "schoolrooms",
+  "schoolyards",
+  "scintillate",
+  "scoreboards",
+  "scoutmaster",
+  "scraggliest",
+  "screechiest",
+  "screenplays",
+  "screenshots",
+  "scrimmaging",
+  "scrimshawed",
+  "scrumptious",
+  "scuttlebutt",
+  "searchingly",
+  "secretariat",
+  "secretively",
+  "secularized",
+  "secularizes",
+  "seductively",
+  "seismically",
+  "seismograph",
+  "selectivity",
+  "semaphoring",
+  "semimonthly",
+  "seminarians",
+  "semiprivate",
+  "semiretired",
+  "semiskilled",
+  "semitrailer",
+  "senselessly",
+  "sensitively",
+  "sensitizing",
+  "sententious",
+  "separatists",
+  "sequestered",
+  "serendipity",
+  "serializing",
+  "sermonizing",
+  "seventieths",
+  "shadowboxed",
+  "shadowboxes",
+  "shallowness",
+  "shamelessly",
+  "shanghaiing",
+  "shantytowns",
+  "shapelessly",
+  "shapeliness",
+  "shellacking",
+  "shenanigans",
+  "shepherdess",
+  "shibboleths",
+  "shillelaghs",
+  "shipbuilder",
+  "shipwrights",
+  "shirtsleeve",
+  "shirtwaists",
+  "shoehorning",
+  "shopaholics",
+  "shoplifting",
+  "shortchange",
+  "showboating",
+  "showmanship",
+  "shutterbugs",
+  "shuttlecock",
+  "sickeningly",
+  "sidesaddles",
+  "sidestroked",
+  "sidestrokes",
+  "sideswiping",
+  "sightseeing",
+  "signalizing",
+  "signatories",
+  "simulcasted",
+  "singsonging",
+  "skedaddling",
+  "skeptically",
+  "skulduggery",
+  "slaughterer",
+  "sleepwalked",
+  "sleepwalker",
+  "sleepyheads",
+  "slenderized",
+  "slenderizes",
+  "slenderness",
+  "smartphones",
+  "smokehouses",
+  "snapdragons",
+  "snowblowers",
+  "snowboarded",
+  "snowmobiled",
+  "snowmobiles",
+  "snowshoeing",
+  "sociability",
+  "socialistic",
+  "softhearted",
+  "solemnizing",
+  "soliloquies",
+  "soliloquize",
+  "songwriters",
+  "soothsayers",
+  "sophistries",
+  "sorrowfully",
+  "soulfulness",
+  "soundlessly",
+  "soundtracks",
+  "southwester",
+  "spaceflight",
+  "spacewalked",
+  "speakeasies",
+  "specifiable",
+  "spellbinder",
+  "spellchecks",
+  "spermatozoa",
+  "spermicides",
+  "splashdowns",
+  "splotchiest",
+  "spluttering",
+  "spoilsports",
+  "spoonerisms",
+  "sportscasts",
+  "sportswoman",
+  "sportswomen",
+  "sprightlier",
+  "springiness",
+  "squeamishly",
+  "squeegeeing",
+  "stabilizers",
+  "stagflation",
+  "stalactites",
+  "stalagmites",
+  "standoffish",
+  "statehouses",
+  "stateliness",
+  "steadfastly",
+  "steakhouses",
+  "steamrolled",
+  "steeplejack",
+  "stepbrother",
+  "stepfathers",
+  "stepmothers",
+  "stepparents",
+  "stepsisters",
+  "stereoscope",
+  "sterilizers",
+  "stewardship",
+  "stickleback",
+  "stigmatized",
+  "stigmatizes",
+  "stillbirths",
+  "stomachache",
+  "stonewalled",
+  "storefronts",
+  "storyteller",
+  "straggliest",
+  "straitening",
+  "strangulate",
+  "straplesses",
+  "strategists",
+  "streetlight",
+  "stretchiest",
+  "stringently",
+  "stripteased",
+  "stripteases",
+  "strongboxes",
+  "stultifying",
+  "stylishness",
+  "subbasement",
+  "subcompacts",
+  "subcontract",
+  "subcultures",
+  "subheadings",
+  "subjugation",
+  "sublimating",
+  "sublimation",
+  "submergence",
+  "submersible",
+  "subornation",
+  "subpoenaing",
+  "subprograms",
+  "substantive",
+  "substations",
+  "subtotaling",
+  "subtrahends",
+  "subtropical",
+  "suburbanite",
+  "sufficiency",
+  "suffragette",
+  "suffragists",
+  "sugarcoated",
+  "suggestible",
+  "summerhouse",
+  "supercharge",
+  "superfluity",
+  "superintend",
+  "supermodels",
+  "superpowers",
+  "supersizing",
+  "supertanker",
+  "supervening",
+  "supplicants",
+  "supplicated",
+  "supplicates",
+  "supportable",
+  "suppository",
+  "suppurating",
+  "suppuration",
+  "supremacist",
+  "surprisings",
+  "surrealists",
+  "suspenseful",
+  "swallowtail",
+  "sweatshirts",
+  "sweetbreads",
+  "sweetbriers",
+  "swellheaded",
+  "switchbacks",
+  "switchblade",
+  "sycophantic",
+  "syllabified",
+  "syllabifies",
+  "syllogistic",
+  "sympathizer",
+  "syncopating",
+  "syncopation",
+  "syndication",
+  "synergistic",
+  "syntactical",
+  "syphilitics",
+  "systematize",
+  "tachometers",
+  "taciturnity",
+  "tangibility",
+  "taskmasters",
+  "tastelessly",
+  "tattletales",
+  "tautologies",
+  "taxidermist",
+  "teargassing",
+  "tearjerkers",
+  "teaspoonful",
+  "technocracy",
+  "technocrats",
+  "tediousness",
+  "telecasters",
+  "telecasting",
+  "telecommute",
+  "telegrapher",
+  "telegraphic",
+  "telekinesis",
+  "telemetries",
+  "temporizing",
+  "temptresses",
+  "tenaciously",
+  "tendentious",
+  "tenderfoots",
+  "tenderizers",
+  "tenderloins",
+  "tenuousness",
+  "tetrahedron",
+  "thanklessly",
+  "thenceforth",
+  "theocracies",
+  "thickenings",
+  "thimblefuls",
+  "thingamajig",
+  "thistledown",
+  "threescores",
+  "thriftiness",
+  "throatiness",
+  "thumbscrews",
+  "thunderclap",
+  "thunderhead",
+  "tiddlywinks",
+  "tiebreakers",
+  "tightfisted",
+  "timberlines",
+  "timetabling",
+  "tinderboxes",
+  "titillation",
+  "toastmaster",
+  "tobacconist",
+  "topographer",
+  "topographic",
+  "topological",
+  "touchstones",
+  "tracheotomy",
+  "traffickers",
+  "tragicomedy",
+  "trailblazer",
+  "transceiver",
+  "transducers",
+  "transferals",
+  "transfigure",
+  "transfinite",
+  "transfixing",
+  "transfusing",
+  "transmittal",
+  "transmuting",
+  "transponder",
+  "transporter",
+  "transsexual",
+  "trapezoidal",
+  "travelogues",
+  "treasonable",
+  "tremulously",
+  "trenchantly",
+  "triceratops",
+  "trilaterals",
+  "trillionths",
+  "triumvirate",
+  "trivialized",
+  "trivializes",
+  "troglodytes",
+  "trombonists",
+  "troposphere",
+  "troubadours",
+  "troubleshot",
+  "truculently",
+  "trusteeship",
+  "tuberculous",
+  "tumbleweeds",
+  "turbulently",
+  "turnarounds",
+  "turtledoves",
+  "typecasting",
+  "typescripts",
+  "typesetters",
+  "typewriting",
+  "typewritten",
+  "typographer",
+  "tyrannosaur",
+  "ulcerations",
+  "ultramarine",
+  "ultrasounds",
+  "unabridgeds",
+  "unalterable",
+  "unalterably",
+  "unannounced",
+  "unappealing",
+  "unashamedly",
+  "unavoidably",
+  "unbeknownst",
+  "unbuttoning",
+  "unceasingly",
+  "uncertainly",
+  "uncivilized",
+  "uncleanlier",
+  "uncleanness",
+  "uncluttered",
+  "uncollected",
+  "uncommitted",
+  "uncompleted",
+  "uncontested",
+  "undeceiving",
+  "undefinable",
+  "undelivered",
+  "undemanding",
+  "underacting",
+  "undercharge",
+  "undercoated",
+  "underexpose",
+  "underfunded",
+  "underpaying",
+  "underpinned",
+  "underplayed",
+  "undershoots",
+  "undershorts",
+  "undersigned",
+  "underskirts",
+  "undervalued",
+  "undervalues",
+  "underwriter",
+  "undeserving",
+  "undignified",
+  "undisclosed",
+  "undisguised",
+  "undulations",
+  "unemotional",
+  "unendurable",
+  "unfailingly",
+  "unfavorably",
+  "unfeelingly",
+  "unfettering",
+  "unflappable",
+  "unflinching",
+  "unforgiving",
+  "unfriending",
+  "unfulfilled",
+  "unfurnished",
+  "unhealthful",
+  "uninhabited",
+  "uninstalled",
+  "uninstaller",
+  "unknowingly",
+  "unmemorable",
+  "unnaturally",
+  "unobservant",
+  "unobtrusive",
+  "unoffensive",
+  "unorganized",
+  "unpalatable",
+  "unpatriotic",
+  "unperturbed",
+  "unpromising",
+  "unreachable",
+  "unreasoning",
+  "unregulated",
+  "unrehearsed",
+  "unremitting",
+  "unrepentant",
+  "unrewarding",
+  "unsaturated",
+  "unscrambled",
+  "unscrambles",
+  "unselfishly",
+  "unsheathing",
+  "unspeakably",
+  "unsteadiest",
+  "unstoppable",
+  "unsubscribe",
+  "unsurpassed",
+  "unsuspected",
+  "unsweetened",
+  "untimeliest",
+  "untouchable",
+  "unutterable",
+  "unutterably",
+  "unvarnished",
+  "unwholesome",
+  "unwillingly",
+  "unworthiest",
+  "vacationers",
+  "vacillation",
+  "valedictory",
+  "validations",
+  "variability",
+  "varicolored",
+  "variegating",
+  "vasectomies",
+  "ventricular",
+  "venturesome",
+  "verbalizing",
+  "verdigrised",
+  "verdigrises",
+  "vertiginous",
+  "vibraphones",
+  "vichyssoise",
+  "viciousness",
+  "vicissitude",
+  "viewfinders",
+  "vigilantism",
+  "vinaigrette",
+  "vindication",
+  "vindicators",
+  "violoncello",
+  "viscountess",
+  "viticulture",
+  "vituperated",
+  "vituperates",
+  "vociferated",
+  "vociferates",
+  "voraciously",
+  "vouchsafing",
+  "voyeuristic",
+  "vulcanizing",
+  "vulgarizing",
+  "wainscoting",
+  "wakefulness",
+  "wallflowers",
+  "wanderlusts",
+  "warmhearted",
+  "washerwoman",
+  "washerwomen",
+  "watchmakers",
+  "watchtowers",
+  "waterboards",
+  "watercourse",
+  "waterspouts",
+  "waywardness",
+  "wealthiness",
+  "weathercock",
+  "weatherized",
+  "weatherizes",
+  "webmistress",
+  "weightiness",
+  "wellsprings",
+  "westernized",
+  "westernizes",
+  "westernmost",
+  "wheelwright",
+  "wheresoever",
+  "whimsically",
+  "whitefishes",
+  "whorehouses",
+  "widescreens",
+  "wildebeests",
+  "wildflowers",
+  "willfulness",
+  "windbreaker",
+  "windjammers",
+  "windowsills",
+  "windsurfing",
+  "wineglasses",
+  "wingspreads",
+  "wintergreen",
+  "winterizing",
+  "wiretapping",
+  "wistfulness",
+  "womanliness",
+  "woodcarving",
+  "woodcutters",
+  "woodcutting",
+  "woodworking",
+  "workaholics",
+  "workmanlike",
+  "worldliness",
+  "wraparounds",
+  "wrongheaded",
+  "xerographic",
+  "xylophonist",
+  "zealousness"
+];
+
+/**
+ * Every accepted 11-letter word (answers + valid guesses), sorted
+ */
+export const SOLUTIONS_LIST = [...ANSWERS_LIST, ...VALID_GUESSES_LIST].sort();
@@ -0,0 +1,2336 @@
+// src/data/wordsByLength/words4.js
+//
+// 4-LETTER WORD LIST (generated by scripts/buildWordLists.js - do not edit by hand)
+//
+// Split into two lists, like solutions.js:
+// - ANSWERS_LIST: common words (SCOWL sizes 10-35), the likely answers in Wordle clones
+// - VALID_GUESSES_LIST: less common words accepted as guesses (SCOWL sizes up to 50)
+//
+// Word lists derived from SCOWL (http://wordlist.aspell.net/):
+//   Copyright 2000-2016 by Kevin Atkinson
+//   Permission to use, copy, modify, distribute and sell these word
+//   lists, the associated scripts, the output created from the scripts,
+//   and its documentation for any purpose is hereby granted without fee,
+//   provided that the above copyright notice appears in all copies and
+//   that both that copyright notice and this permission notice appear in
+//   supporting documentation. Kevin Atkinson makes no representations
+//   about the suitability of this array for any purpose. It is provided
+//   "as is" without express or implied warranty.
+
+/**
+ * Common 4-letter words (likely answers)
+ * Total: 1879 words
+ */
+export const ANSWERS_LIST = [
+  "abet",
+  "able",
+  "ably",
+  "aced",
+  "aces",
+  "ache",
+  "acid",
+  "acne",
+  "acre",
+  "acts",
+  "adds",
+  "afar",
+  "aged",
+  "ages",
+  "ahoy",
+  "aide",
+  "aids",
+  "ails",
+  "aims",
+  "airs",
+  "airy",
+  "ajar",
+  "akin",
+  "alas",
+  "ales",
+  "alga",
+  "ally",
+  "alms",
+  "also",
+  "alto",
+  "amen",
+  "amid",
+  "amok",
+  "amps",
+  "anal",
+  "anew",
+  "anon",
+  "ants",
+  "anus",
+  "aped",
+  "apes",
+  "apex",
+  "arch",
+  "arcs",
+  "area",
+  "ares",
+  "aria",
+  "arid",
+  "arks",
+  "arms",
+  "army",
+  "arts",
+  "asks",
+  "atom",
+  "aunt",
+  "aura",
+  "auto",
+  "avid",
+  "avow",
+  "away",
+  "awed",
+  "awes",
+  "awry",
+  "axed",
+  "axes",
+  "axis",
+  "axle",
+  "ayes",
+  "babe",
+  "baby",
+  "back",
+  "bade",
+  "bags",
+  "bail",
+  "bait",
+  "bake",
+  "bald",
+  "bale",
+  "balk",
+  "ball",
+  "balm",
+  "band",
+  "bang",
+  "bani",
+  "bank",
+  "bans",
+  "barb",
+  "bard",
+  "bare",
+  "bark",
+  "barn",
+  "bars",
+  "base",
+  "bash",
+  "bask",
+  "bass",
+  "bath",
+  "bats",
+  "baud",
+  "bawl",
+  "bays",
+  "bead",
+  "beak",
+  "beam",
+  "bean",
+  "bear",
+  "beat",
+  "beds",
+  "beef",
+  "been",
+  "beer",
+  "bees",
+  "beet",
+  "begs",
+  "bell",
+  "belt",
+  "bend",
+  "bent",
+  "best",
+  "beta",
+  "bets",
+  "bias",
+  "bibs",
+  "bide",
+  "bids",
+  "bike",
+  "bile",
+  "bill",
+  "bind",
+  "bins",
+  "bird",
+  "bite",
+  "bits",
+  "blab",
+  "bled",
+  "blew",
+  "blip",
+  "blob",
+  "bloc",
+  "blog",
+  "blot",
+  "blow",
+  "blue",
+  "blur",
+  "boar",
+  "boas",
+  "boat",
+  "bobs",
+  "bode",
+  "body",
+  "bogs",
+  "boil",
+  "bold",
+  "bolt",
+  "bomb",
+  "bond",
+  "bone",
+  "bony",
+  "book",
+  "boom",
+  "boon",
+  "boor",
+  "boos",
+  "boot",
+  "bore",
+  "born",
+  "boss",
+  "both",
+  "bout",
+  "bowl",
+  "bows",
+  "boys",
+  "brag",
+  "bran",
+  "bras",
+  "brat",
+  "bray",
+  "bred",
+  "brew",
+  "brim",
+  "brow",
+  "buck",
+  "buds",
+  "buff",
+  "bugs",
+  "bulb",
+  "bulk",
+  "bull",
+  "bump",
+  "bums",
+  "bung",
+  "bunk",
+  "buns",
+  "buoy",
+  "burn",
+  "burp",
+  "burr",
+  "bury",
+  "bush",
+  "buss",
+  "bust",
+  "busy",
+  "buts",
+  "butt",
+  "buys",
+  "buzz",
+  "byes",
+  "byte",
+  "cabs",
+  "cage",
+  "cake",
+  "calf",
+  "calk",
+  "call",
+  "calm",
+  "came",
+  "camp",
+  "cane",
+  "cans",
+  "cant",
+  "cape",
+  "caps",
+  "card",
+  "care",
+  "carp",
+  "cars",
+  "cart",
+  "case",
+  "cash",
+  "cask",
+  "cast",
+  "cats",
+  "cave",
+  "caws",
+  "cede",
+  "cell",
+  "cent",
+  "chap",
+  "char",
+  "chat",
+  "chef",
+  "chew",
+  "chic",
+  "chin",
+  "chip",
+  "chop",
+  "chow",
+  "chug",
+  "chum",
+  "cite",
+  "city",
+  "clad",
+  "clam",
+  "clan",
+  "clap",
+  "claw",
+  "clay",
+  "clef",
+  "clip",
+  "clod",
+  "clog",
+  "clot",
+  "club",
+  "clue",
+  "coal",
+  "coat",
+  "coax",
+  "cobs",
+  "cock",
+  "code",
+  "cods",
+  "cogs",
+  "coil",
+  "coin",
+  "coke",
+  "cold",
+  "colt",
+  "coma",
+  "comb",
+  "come",
+  "cone",
+  "cons",
+  "cook",
+  "cool",
+  "coop",
+  "coos",
+  "cope",
+  "cops",
+  "copy",
+  "cord",
+  "core",
+  "cork",
+  "corn",
+  "cost",
+  "cots",
+  "coup",
+  "cove",
+  "cows",
+  "cozy",
+  "crab",
+  "crag",
+  "cram",
+  "crap",
+  "crew",
+  "crib",
+  "crop",
+  "crow",
+  "crux",
+  "cube",
+  "cubs",
+  "cued",
+  "cues",
+  "cuff",
+  "cull",
+  "cult",
+  "cums",
+  "cups",
+  "curb",
+  "curd",
+  "cure",
+  "curl",
+  "curt",
+  "cute",
+  "cuts",
+  "cyst",
+  "czar",
+  "dabs",
+  "dads",
+  "daft",
+  "dais",
+  "dame",
+  "damn",
+  "damp",
+  "dams",
+  "dank",
+  "dare",
+  "dark",
+  "darn",
+  "dart",
+  "dash",
+  "data",
+  "date",
+  "daub",
+  "dawn",
+  "days",
+  "daze",
+  "dead",
+  "deaf",
+  "deal",
+  "dean",
+  "dear",
+  "debt",
+  "deck",
+  "deed",
+  "deem",
+  "deep",
+  "deer",
+  "deft",
+  "defy",
+  "deli",
+  "dens",
+  "dent",
+  "deny",
+  "desk",
+  "dial",
+  "dice",
+  "died",
+  "dies",
+  "diet",
+  "digs",
+  "dike",
+  "dill",
+  "dime",
+  "dims",
+  "dine",
+  "dins",
+  "dips",
+  "dire",
+  "dirt",
+  "disc",
+  "dish",
+  "disk",
+  "dive",
+  "dock",
+  "dodo",
+  "doer",
+  "does",
+  "dogs",
+  "dole",
+  "doll",
+  "dome",
+  "done",
+  "dons",
+  "doom",
+  "door",
+  "dope",
+  "dose",
+  "dote",
+  "dots",
+  "dour",
+  "dove",
+  "down",
+  "doze",
+  "drab",
+  "drag",
+  "draw",
+  "drew",
+  "drip",
+  "drop",
+  "drug",
+  "drum",
+  "drys",
+  "dual",
+  "dubs",
+  "duck",
+  "duct",
+  "dude",
+  "duds",
+  "duel",
+  "dues",
+  "duet",
+  "duff",
+  "duke",
+  "dull",
+  "duly",
+  "dumb",
+  "dump",
+  "dune",
+  "dung",
+  "dunk",
+  "dupe",
+  "dusk",
+  "dust",
+  "duty",
+  "dyed",
+  "dyes",
+  "each",
+  "earl",
+  "earn",
+  "ears",
+  "ease",
+  "east",
+  "easy",
+  "eats",
+  "eave",
+  "ebbs",
+  "echo",
+  "eddy",
+  "edge",
+  "edgy",
+  "edit",
+  "eels",
+  "eggs",
+  "egos",
+  "eked",
+  "ekes",
+  "elks",
+  "elms",
+  "else",
+  "emir",
+  "emit",
+  "ends",
+  "envy",
+  "eons",
+  "epic",
+  "eras",
+  "ergo",
+  "errs",
+  "etch",
+  "even",
+  "ever",
+  "eves",
+  "evil",
+  "ewes",
+  "exam",
+  "exit",
+  "eyed",
+  "eyes",
+  "face",
+  "fact",
+  "fade",
+  "fads",
+  "fail",
+  "fair",
+  "fake",
+  "fall",
+  "fame",
+  "fang",
+  "fans",
+  "fare",
+  "farm",
+  "fast",
+  "fate",
+  "fats",
+  "fawn",
+  "faze",
+  "fear",
+  "feat",
+  "feds",
+  "feed",
+  "feel",
+  "fees",
+  "feet",
+  "fell",
+  "felt",
+  "fend",
+  "fern",
+  "feud",
+  "fibs",
+  "figs",
+  "file",
+  "fill",
+  "film",
+  "find",
+  "fine",
+  "fins",
+  "fire",
+  "firm",
+  "firs",
+  "fish",
+  "fist",
+  "fits",
+  "five",
+  "fizz",
+  "flag",
+  "flak",
+  "flap",
+  "flat",
+  "flaw",
+  "flea",
+  "fled",
+  "flee",
+  "flew",
+  "flex",
+  "flip",
+  "flit",
+  "flog",
+  "flop",
+  "flow",
+  "flue",
+  "flux",
+  "foal",
+  "foam",
+  "foes",
+  "fogs",
+  "fogy",
+  "foil",
+  "fold",
+  "folk",
+  "fond",
+  "font",
+  "food",
+  "fool",
+  "foot",
+  "ford",
+  "fore",
+  "fork",
+  "form",
+  "fort",
+  "foul",
+  "four",
+  "fowl",
+  "foxy",
+  "fray",
+  "free",
+  "fret",
+  "frog",
+  "from",
+  "fuel",
+  "full",
+  "fume",
+  "fund",
+  "furl",
+  "furs",
+  "fury",
+  "fuse",
+  "fuss",
+  "fuzz",
+  "gabs",
+  "gags",
+  "gain",
+  "gait",
+  "gala",
+  "gale",
+  "gall",
+  "gals",
+  "game",
+  "gang",
+  "gape",
+  "gaps",
+  "garb",
+  "gash",
+  "gasp",
+  "gate",
+  "gave",
+  "gawk",
+  "gays",
+  "gaze",
+  "gear",
+  "geed",
+  "gees",
+  "geld",
+  "gems",
+  "gene",
+  "gent",
+  "germ",
+  "gets",
+  "gibe",
+  "gift",
+  "gigs",
+  "gild",
+  "gill",
+  "gilt",
+  "gins",
+  "girl",
+  "gist",
+  "give",
+  "glad",
+  "glee",
+  "glen",
+  "glib",
+  "glow",
+  "glue",
+  "glum",
+  "glut",
+  "gnat",
+  "gnaw",
+  "gnus",
+  "goad",
+  "goal",
+  "goat",
+  "gobs",
+  "gods",
+  "goes",
+  "gold",
+  "golf",
+  "gone",
+  "gong",
+  "good",
+  "goof",
+  "goon",
+  "gore",
+  "gory",
+  "gosh",
+  "gout",
+  "gown",
+  "grab",
+  "gram",
+  "gray",
+  "grew",
+  "grid",
+  "grim",
+  "grin",
+  "grip",
+  "grit",
+  "grow",
+  "grub",
+  "gulf",
+  "gull",
+  "gulp",
+  "gums",
+  "guns",
+  "guru",
+  "gush",
+  "gust",
+  "guts",
+  "guys",
+  "gyms",
+  "hack",
+  "hags",
+  "hail",
+  "hair",
+  "hale",
+  "half",
+  "hall",
+  "halo",
+  "halt",
+  "hams",
+  "hand",
+  "hang",
+  "hard",
+  "hare",
+  "hark",
+  "harm",
+  "harp",
+  "hart",
+  "hash",
+  "hate",
+  "hats",
+  "haul",
+  "have",
+  "hawk",
+  "hays",
+  "haze",
+  "hazy",
+  "head",
+  "heal",
+  "heap",
+  "hear",
+  "heat",
+  "heed",
+  "heel",
+  "heir",
+  "held",
+  "hell",
+  "helm",
+  "help",
+  "hemp",
+  "hems",
+  "hens",
+  "herb",
+  "herd",
+  "here",
+  "hero",
+  "hers",
+  "hews",
+  "hick",
+  "hide",
+  "high",
+  "hike",
+  "hill",
+  "hilt",
+  "hims",
+  "hind",
+  "hint",
+  "hips",
+  "hire",
+  "hiss",
+  "hits",
+  "hive",
+  "hoax",
+  "hobo",
+  "hock",
+  "hoed",
+  "hoes",
+  "hogs",
+  "hold",
+  "hole",
+  "holy",
+  "home",
+  "hone",
+  "honk",
+  "hood",
+  "hoof",
+  "hook",
+  "hoop",
+  "hoot",
+  "hope",
+  "hops",
+  "horn",
+  "hose",
+  "host",
+  "hour",
+  "hove",
+  "howl",
+  "hows",
+  "hubs",
+  "hued",
+  "hues",
+  "huff",
+  "huge",
+  "hugs",
+  "hulk",
+  "hull",
+  "hump",
+  "hums",
+  "hung",
+  "hunk",
+  "hunt",
+  "hurl",
+  "hurt",
+  "hush",
+  "husk",
+  "huts",
+  "hymn",
+  "iced",
+  "ices",
+  "icon",
+  "idea",
+  "idle",
+  "idly",
+  "idol",
+  "ills",
+  "imps",
+  "inch",
+  "info",
+  "inks",
+  "inky",
+  "inns",
+  "into",
+  "ions",
+  "iota",
+  "iris",
+  "irks",
+  "iron",
+  "isle",
+  "itch",
+  "item",
+  "jabs",
+  "jack",
+  "jade",
+  "jail",
+  "jamb",
+  "jams",
+  "jars",
+  "jaws",
+  "jays",
+  "jazz",
+  "jeer",
+  "jell",
+  "jerk",
+  "jest",
+  "jets",
+  "jibe",
+  "jigs",
+  "jilt",
+  "jinx",
+  "jobs",
+  "jogs",
+  "join",
+  "joke",
+  "jolt",
+  "jots",
+  "joys",
+  "judo",
+  "jugs",
+  "jump",
+  "junk",
+  "jury",
+  "just",
+  "jute",
+  "juts",
+  "keel",
+  "keen",
+  "keep",
+  "kegs",
+  "kelp",
+  "kept",
+  "keys",
+  "kick",
+  "kids",
+  "kill",
+  "kiln",
+  "kilo",
+  "kilt",
+  "kind",
+  "king",
+  "kink",
+  "kiss",
+  "kite",
+  "kits",
+  "kiwi",
+  "knee",
+  "knew",
+  "knit",
+  "knob",
+  "knot",
+  "know",
+  "labs",
+  "lace",
+  "lack",
+  "lacy",
+  "lade",
+  "lads",
+  "lady",
+  "lags",
+  "laid",
+  "lain",
+  "lair",
+  "lake",
+  "lamb",
+  "lame",
+  "lamp",
+  "land",
+  "lane",
+  "laps",
+  "lard",
+  "lark",
+  "lash",
+  "lass",
+  "last",
+  "late",
+  "lath",
+  "laud",
+  "lava",
+  "lawn",
+  "laws",
+  "lays",
+  "lazy",
+  "lead",
+  "leaf",
+  "leak",
+  "lean",
+  "leap",
+  "leek",
+  "leer",
+  "left",
+  "legs",
+  "lend",
+  "lens",
+  "lent",
+  "less",
+  "lest",
+  "lets",
+  "levy",
+  "lewd",
+  "liar",
+  "lice",
+  "lick",
+  "lids",
+  "lied",
+  "lies",
+  "lieu",
+  "life",
+  "lift",
+  "like",
+  "lilt",
+  "lily",
+  "limb",
+  "lime",
+  "limp",
+  "line",
+  "link",
+  "lint",
+  "lion",
+  "lips",
+  "lisp",
+  "list",
+  "live",
+  "load",
+  "loaf",
+  "loam",
+  "loan",
+  "lobe",
+  "lobs",
+  "lock",
+  "loft",
+  "logo",
+  "logs",
+  "loin",
+  "loll",
+  "lone",
+  "long",
+  "look",
+  "loom",
+  "loon",
+  "loop",
+  "loot",
+  "lope",
+  "lops",
+  "lord",
+  "lore",
+  "lose",
+  "loss",
+  "lost",
+  "lots",
+  "loud",
+  "love",
+  "lows",
+  "luck",
+  "lugs",
+  "lull",
+  "lump",
+  "lung",
+  "lure",
+  "lurk",
+  "lush",
+  "lust",
+  "lute",
+  "lyre",
+  "mace",
+  "made",
+  "mads",
+  "maid",
+  "mail",
+  "maim",
+  "main",
+  "make",
+  "male",
+  "mall",
+  "malt",
+  "mama",
+  "mane",
+  "mans",
+  "many",
+  "maps",
+  "mare",
+  "mark",
+  "mars",
+  "mart",
+  "mash",
+  "mask",
+  "mass",
+  "mast",
+  "mate",
+  "math",
+  "mats",
+  "maul",
+  "maze",
+  "meal",
+  "mean",
+  "meat",
+  "meek",
+  "meet",
+  "melt",
+  "memo",
+  "mend",
+  "menu",
+  "meow",
+  "mere",
+  "mesh",
+  "mess",
+  "mete",
+  "mews",
+  "mice",
+  "mien",
+  "mike",
+  "mild",
+  "mile",
+  "milk",
+  "mill",
+  "mime",
+  "mind",
+  "mine",
+  "mink",
+  "mint",
+  "mire",
+  "miss",
+  "mist",
+  "mite",
+  "mitt",
+  "moan",
+  "moat",
+  "mobs",
+  "mock",
+  "mode",
+  "mold",
+  "mole",
+  "molt",
+  "moms",
+  "monk",
+  "mood",
+  "moon",
+  "moor",
+  "moos",
+  "moot",
+  "mope",
+  "mops",
+  "more",
+  "morn",
+  "moss",
+  "most",
+  "moth",
+  "move",
+  "mows",
+  "much",
+  "muck",
+  "muff",
+  "mugs",
+  "mule",
+  "mull",
+  "muse",
+  "mush",
+  "musk",
+  "muss",
+  "must",
+  "mute",
+  "mutt",
+  "myth",
+  "nabs",
+  "nags",
+  "nail",
+  "name",
+  "nape",
+  "naps",
+  "navy",
+  "nays",
+  "near",
+  "neat",
+  "neck",
+  "need",
+  "neon",
+  "nest",
+  "nets",
+  "news",
+  "newt",
+  "next",
+  "nice",
+  "nick",
+  "nigh",
+  "nine",
+  "nips",
+  "nits",
+  "node",
+  "nods",
+  "noes",
+  "none",
+  "nook",
+  "noon",
+  "norm",
+  "nose",
+  "nosy",
+  "note",
+  "noun",
+  "nova",
+  "nude",
+  "null",
+  "numb",
+  "nuns",
+  "nuts",
+  "oafs",
+  "oaks",
+  "oars",
+  "oath",
+  "obey",
+  "oboe",
+  "odds",
+  "odes",
+  "odor",
+  "offs",
+  "ogle",
+  "ogre",
+  "ohms",
+  "oils",
+  "oily",
+  "okay",
+  "okra",
+  "omen",
+  "omit",
+  "once",
+  "ones",
+  "only",
+  "onto",
+  "onus",
+  "ooze",
+  "opal",
+  "open",
+  "opts",
+  "opus",
+  "oral",
+  "ores",
+  "orgy",
+  "ouch",
+  "ours",
+  "oust",
+  "outs",
+  "oval",
+  "oven",
+  "over",
+  "ovum",
+  "owed",
+  "owes",
+  "owls",
+  "owns",
+  "oxen",
+  "pace",
+  "pack",
+  "pact",
+  "pads",
+  "page",
+  "paid",
+  "pail",
+  "pain",
+  "pair",
+  "pale",
+  "pall",
+  "palm",
+  "pals",
+  "pane",
+  "pang",
+  "pans",
+  "pant",
+  "papa",
+  "pare",
+  "park",
+  "pars",
+  "part",
+  "pass",
+  "past",
+  "pate",
+  "path",
+  "pats",
+  "pave",
+  "pawn",
+  "paws",
+  "pays",
+  "peak",
+  "peal",
+  "pear",
+  "peas",
+  "peat",
+  "peck",
+  "peek",
+  "peel",
+  "peep",
+  "peer",
+  "pegs",
+  "pelt",
+  "pens",
+  "peon",
+  "peps",
+  "perk",
+  "pert",
+  "pest",
+  "pets",
+  "pews",
+  "pick",
+  "pier",
+  "pies",
+  "pigs",
+  "pike",
+  "pile",
+  "pill",
+  "pine",
+  "pink",
+  "pins",
+  "pint",
+  "pipe",
+  "pits",
+  "pity",
+  "plan",
+  "play",
+  "plea",
+  "plod",
+  "plop",
+  "plot",
+  "plow",
+  "ploy",
+  "plug",
+  "plum",
+  "plus",
+  "pods",
+  "poem",
+  "poet",
+  "poke",
+  "poky",
+  "pole",
+  "poll",
+  "polo",
+  "pomp",
+  "pond",
+  "pony",
+  "pool",
+  "poop",
+  "poor",
+  "pope",
+  "pops",
+  "pore",
+  "pork",
+  "port",
+  "pose",
+  "post",
+  "posy",
+  "pots",
+  "pour",
+  "pout",
+  "pram",
+  "pray",
+  "prey",
+  "prim",
+  "prod",
+  "prom",
+  "prop",
+  "pros",
+  "prow",
+  "puck",
+  "puff",
+  "puke",
+  "pull",
+  "pulp",
+  "puma",
+  "pump",
+  "punk",
+  "puns",
+  "punt",
+  "puny",
+  "pups",
+  "pure",
+  "purr",
+  "push",
+  "puss",
+  "puts",
+  "putt",
+  "pyre",
+  "quay",
+  "quip",
+  "quit",
+  "quiz",
+  "race",
+  "rack",
+  "racy",
+  "raft",
+  "rage",
+  "rags",
+  "raid",
+  "rail",
+  "rain",
+  "rake",
+  "ramp",
+  "rams",
+  "rang",
+  "rank",
+  "rant",
+  "rape",
+  "raps",
+  "rapt",
+  "rare",
+  "rash",
+  "rasp",
+  "rate",
+  "rats",
+  "rave",
+  "rays",
+  "raze",
+  "read",
+  "real",
+  "ream",
+  "reap",
+  "rear",
+  "redo",
+  "reds",
+  "reed",
+  "reef",
+  "reek",
+  "reel",
+  "rein",
+  "rely",
+  "rend",
+  "rent",
+  "rest",
+  "revs",
+  "ribs",
+  "rice",
+  "rich",
+  "ride",
+  "rids",
+  "rife",
+  "rift",
+  "rigs",
+  "rile",
+  "rims",
+  "rind",
+  "ring",
+  "rink",
+  "riot",
+  "ripe",
+  "rips",
+  "rise",
+  "risk",
+  "rite",
+  "road",
+  "roam",
+  "roar",
+  "robe",
+  "robs",
+  "rock",
+  "rode",
+  "rods",
+  "roes",
+  "role",
+  "roll",
+  "romp",
+  "roof",
+  "rook",
+  "room",
+  "root",
+  "rope",
+  "rose",
+  "rosy",
+  "rote",
+  "rots",
+  "rout",
+  "rows",
+  "rubs",
+  "ruby",
+  "rude",
+  "rued",
+  "rues",
+  "ruff",
+  "rugs",
+  "ruin",
+  "rule",
+  "rump",
+  "rums",
+  "rune",
+  "rung",
+  "runs",
+  "runt",
+  "ruse",
+  "rush",
+  "rust",
+  "ruts",
+  "sack",
+  "sacs",
+  "safe",
+  "saga",
+  "sage",
+  "sags",
+  "said",
+  "sail",
+  "sake",
+  "sale",
+  "salt",
+  "same",
+  "sand",
+  "sane",
+  "sang",
+  "sank",
+  "saps",
+  "sari",
+  "sash",
+  "save",
+  "saws",
+  "says",
+  "scab",
+  "scan",
+  "scar",
+  "scum",
+  "seal",
+  "seam",
+  "sear",
+  "seas",
+  "seat",
+  "sect",
+  "seed",
+  "seek",
+  "seem",
+  "seen",
+  "seep",
+  "seer",
+  "sees",
+  "self",
+  "sell",
+  "send",
+  "sent",
+  "sets",
+  "sewn",
+  "sews",
+  "sexy",
+  "sham",
+  "shed",
+  "shes",
+  "shin",
+  "ship",
+  "shod",
+  "shoe",
+  "shoo",
+  "shop",
+  "shot",
+  "show",
+  "shun",
+  "shut",
+  "sick",
+  "sics",
+  "side",
+  "sift",
+  "sigh",
+  "sign",
+  "silk",
+  "sill",
+  "silo",
+  "silt",
+  "sine",
+  "sing",
+  "sink",
+  "sins",
+  "sips",
+  "sire",
+  "sirs",
+  "site",
+  "sits",
+  "size",
+  "skew",
+  "skid",
+  "skim",
+  "skin",
+  "skip",
+  "skis",
+  "skit",
+  "slab",
+  "slag",
+  "slam",
+  "slap",
+  "slat",
+  "slay",
+  "sled",
+  "slew",
+  "slid",
+  "slim",
+  "slip",
+  "slit",
+  "slob",
+  "slog",
+  "slop",
+  "slot",
+  "slow",
+  "slug",
+  "slum",
+  "slur",
+  "slut",
+  "smog",
+  "smug",
+  "smut",
+  "snag",
+  "snap",
+  "snip",
+  "snob",
+  "snot",
+  "snow",
+  "snub",
+  "snug",
+  "soak",
+  "soap",
+  "soar",
+  "sobs",
+  "sock",
+  "soda",
+  "sods",
+  "sofa",
+  "soft",
+  "soil",
+  "sold",
+  "sole",
+  "solo",
+  "some",
+  "song",
+  "sons",
+  "soon",
+  "soot",
+  "sops",
+  "sore",
+  "sort",
+  "soul",
+  "soup",
+  "sour",
+  "sown",
+  "sows",
+  "span",
+  "spar",
+  "spas",
+  "spat",
+  "spay",
+  "sped",
+  "spew",
+  "spin",
+  "spit",
+  "spot",
+  "spry",
+  "spud",
+  "spun",
+  "spur",
+  "stab",
+  "stag",
+  "star",
+  "stay",
+  "stem",
+  "step",
+  "stew",
+  "stir",
+  "stop",
+  "stow",
+  "stub",
+  "stud",
+  "stun",
+  "subs",
+  "such",
+  "suck",
+  "suds",
+  "sued",
+  "sues",
+  "suit",
+  "sulk",
+  "sums",
+  "sung",
+  "sunk",
+  "suns",
+  "sure",
+  "surf",
+  "swab",
+  "swam",
+  "swan",
+  "swap",
+  "swat",
+  "sway",
+  "swig",
+  "swim",
+  "swum",
+  "tabs",
+  "tack",
+  "taco",
+  "tact",
+  "tags",
+  "tail",
+  "take",
+  "talc",
+  "tale",
+  "talk",
+  "tall",
+  "tame",
+  "tang",
+  "tank",
+  "tans",
+  "tape",
+  "taps",
+  "tars",
+  "tart",
+  "task",
+  "taut",
+  "taxi",
+  "teak",
+  "team",
+  "tear",
+  "teas",
+  "teat",
+  "teed",
+  "teem",
+  "teen",
+  "tees",
+  "tell",
+  "tend",
+  "tens",
+  "tent",
+  "term",
+  "test",
+  "text",
+  "than",
+  "that",
+  "thaw",
+  "thee",
+  "them",
+  "then",
+  "they",
+  "thin",
+  "this",
+  "thou",
+  "thud",
+  "thug",
+  "thus",
+  "tick",
+  "tide",
+  "tidy",
+  "tied",
+  "tier",
+  "ties",
+  "tiff",
+  "tile",
+  "till",
+  "tilt",
+  "time",
+  "ting",
+  "tins",
+  "tint",
+  "tiny",
+  "tips",
+  "tire",
+  "tits",
+  "toad",
+  "toed",
+  "toes",
+  "toga",
+  "toil",
+  "told",
+  "toll",
+  "tomb",
+  "tome",
+  "tone",
+  "tong",
+  "tons",
+  "took",
+  "tool",
+  "toot",
+  "tops",
+  "tore",
+  "torn",
+  "toss",
+  "tote",
+  "tots",
+  "tour",
+  "tout",
+  "town",
+  "tows",
+  "toys",
+  "trap",
+  "tray",
+  "tree",
+  "trek",
+  "trim",
+  "trio",
+  "trip",
+  "trod",
+  "trot",
+  "true",
+  "tuba",
+  "tube",
+  "tubs",
+  "tuck",
+  "tuft",
+  "tugs",
+  "tuna",
+  "tune",
+  "turf",
+  "turn",
+  "tusk",
+  "twee",
+  "twig",
+  "twin",
+  "twos",
+  "type",
+  "ugly",
+  "undo",
+  "unit",
+  "unto",
+  "upon",
+  "urge",
+  "urns",
+  "used",
+  "user",
+  "uses",
+  "vain",
+  "vane",
+  "vans",
+  "vary",
+  "vase",
+  "vast",
+  "vats",
+  "veal",
+  "veer",
+  "veil",
+  "vein",
+  "vend",
+  "vent",
+  "verb",
+  "very",
+  "vest",
+  "veto",
+  "vets",
+  "vial",
+  "vice",
+  "vied",
+  "vies",
+  "view",
+  "vile",
+  "vine",
+  "visa",
+  "vise",
+  "void",
+  "volt",
+  "vote",
+  "vows",
+  "wade",
+  "wads",
+  "waft",
+  "wage",
+  "wags",
+  "waif",
+  "wail",
+  "wait",
+  "wake",
+  "walk",
+  "wall",
+  "wand",
+  "wane",
+  "want",
+  "ward",
+  "warm",
+  "warn",
+  "warp",
+  "wars",
+  "wart",
+  "wary",
+  "wash",
+  "wasp",
+  "watt",
+  "wave",
+  "wavy",
+  "waxy",
+  "ways",
+  "weak",
+  "wean",
+  "wear",
+  "webs",
+  "weds",
+  "weed",
+  "week",
+  "weep",
+  "weer",
+  "wees",
+  "weld",
+  "well",
+  "welt",
+  "went",
+  "wept",
+  "were",
+  "west",
+  "wets",
+  "what",
+  "when",
+  "whet",
+  "whew",
+  "whim",
+  "whip",
+  "whir",
+  "whiz",
+  "whoa",
+  "whom",
+  "whys",
+  "wick",
+  "wide",
+  "wife",
+  "wigs",
+  "wild",
+  "will",
+  "wilt",
+  "wily",
+  "wind",
+  "wine",
+  "wing",
+  "wink",
+  "wins",
+  "wipe",
+  "wire",
+  "wiry",
+  "wise",
+  "wish",
+  "wisp",
+  "wist",
+  "with",
+  "wits",
+  "wive",
+  "woes",
+  "woke",
+  "woks",
+  "wolf",
+  "womb",
+  "wont",
+  "wood",
+  "woof",
+  "wool",
+  "woos",
+  "word",
+  "wore",
+  "work",
+  "worm",
+  "worn",
+  "wove",
+  "wows",
+  "wrap",
+  "wren",
+  "writ",
+  "yaks",
+  "yams",
+  "yank",
+  "yaps",
+  "yard",
+  "yarn",
+  "yawn",
+  "year",
+  "yell",
+  "yelp",
+  "yens",
+  "yeti",
+  "yews",
+  "yoga",
+  "yoke",
+  "yolk",
+  "your",
+  "yous",
+  "yowl",
+  "yuck",
+  "zany",
+  "zeal",
+  "zero",
+  "zest",
+  "zeta",
+  "zinc",
+  "zips",
+  "zone",
+  "zoom",
+  "zoos"
+];
+
+/**
+ * Other accepted 4-letter guesses
+ * Total: 420 words
+ */
+export const VALID_GUESSES_LIST = [
+  "abed",
+  "abut",
+  "achy",
+  "acme",
+  "adze",
+  "agar",
+  "agog",
+  "ague",
+  "ahem",
+  "albs",
+  "aloe",
+  "alum",
+  "ammo",
+  "ankh",
+  "ante",
+  "anti",
+  "apps",
+  "apse",
+  "aqua",
+  "arty",
+  "ashy",
+  "asps",
+  "atop",
+  "auks",
+  "aver",
+  "awls",
+  "axon",
+  "baas",
+  "bane",
+  "barf",
+  "bast",
+  "bate",
+  "beau",
+  "beck",
+  "beep",
+  "berg",
+  "berm",
+  "bevy",
+  "bier",
+  "bilk",
+  "blah",
+  "bola",
+  "bole",
+  "boll",
+  "bong",
+  "boob",
+  "bops",
+  "bosh",
+  "bozo",
+  "brad",
+  "brig",
+  "bunt",
+  "burg",
+  "burs",
+  "cads",
+  "cams",
+  "chit",
+  "clew",
+  "clit",
+  "clop",
+  "cloy",
+  "coda",
+  "coed",
+  "coif",
+  "cola",
+  "cols",
+  "conk",
+  "coon",
+  "coot",
+  "corm",
+  "cote",
+  "cowl",
+  "craw",
+  "crud",
+  "cuds",
+  "cunt",
+  "curs",
+  "cusp",
+  "cuss",
+  "dado",
+  "dale",
+  "debs",
+  "dell",
+  "demo",
+  "dewy",
+  "dick",
+  "ding",
+  "dint",
+  "dirk",
+  "diva",
+  "docs",
+  "doff",
+  "dolt",
+  "dork",
+  "dorm",
+  "dory",
+  "doth",
+  "dram",
+  "dray",
+  "drub",
+  "duns",
+  "duos",
+  "dyer",
+  "dyke",
+  "ecru",
+  "ells",
+  "emos",
+  "emus",
+  "ergs",
+  "espy",
+  "euro",
+  "ewer",
+  "exec",
+  "exes",
+  "expo",
+  "fags",
+  "fain",
+  "fart",
+  "faun",
+  "fens",
+  "fest",
+  "feta",
+  "fiat",
+  "fief",
+  "fife",
+  "fink",
+  "flab",
+  "flan",
+  "flax",
+  "flay",
+  "floe",
+  "flub",
+  "fobs",
+  "fops",
+  "frat",
+  "fuck",
+  "funk",
+  "futz",
+  "gads",
+  "gaff",
+  "gamy",
+  "geek",
+  "gels",
+  "gird",
+  "girt",
+  "glob",
+  "glop",
+  "gook",
+  "goop",
+  "grad",
+  "grog",
+  "guff",
+  "gunk",
+  "gyps",
+  "gyro",
+  "haft",
+  "hake",
+  "hank",
+  "hasp",
+  "hath",
+  "haws",
+  "heck",
+  "heft",
+  "hied",
+  "hies",
+  "hobs",
+  "hods",
+  "hula",
+  "hype",
+  "hypo",
+  "iamb",
+  "ibex",
+  "ibis",
+  "icky",
+  "ides",
+  "iffy",
+  "ilks",
+  "imam",
+  "isms",
+  "jags",
+  "jape",
+  "jeep",
+  "jeez",
+  "jibs",
+  "jinn",
+  "jive",
+  "jock",
+  "john",
+  "josh",
+  "jowl",
+  "kale",
+  "kens",
+  "khan",
+  "kith",
+  "kook",
+  "lama",
+  "lams",
+  "lank",
+  "lats",
+  "laze",
+  "leas",
+  "lees",
+  "leis",
+  "lief",
+  "lien",
+  "limn",
+  "limo",
+  "limy",
+  "lira",
+  "lire",
+  "lite",
+  "loci",
+  "loco",
+  "lode",
+  "loge",
+  "lorn",
+  "lout",
+  "luau",
+  "lube",
+  "lynx",
+  "maws",
+  "mayo",
+  "mead",
+  "megs",
+  "meld",
+  "meme",
+  "mesa",
+  "mewl",
+  "mica",
+  "miff",
+  "milf",
+  "mils",
+  "mini",
+  "minx",
+  "mkay",
+  "mods",
+  "moll",
+  "mono",
+  "mote",
+  "murk",
+  "myna",
+  "narc",
+  "nark",
+  "nary",
+  "nave",
+  "nerd",
+  "nibs",
+  "noel",
+  "nope",
+  "nosh",
+  "nous",
+  "nubs",
+  "nuke",
+  "oats",
+  "obit",
+  "oink",
+  "oleo",
+  "onyx",
+  "oops",
+  "orbs",
+  "orcs",
+  "paps",
+  "pawl",
+  "pecs",
+  "peed",
+  "pees",
+  "pent",
+  "perm",
+  "peso",
+  "pica",
+  "pied",
+  "pimp",
+  "ping",
+  "pips",
+  "piss",
+  "pita",
+  "pith",
+  "pock",
+  "pols",
+  "pone",
+  "pooh",
+  "porn",
+  "posh",
+  "prep",
+  "prig",
+  "prof",
+  "psst",
+  "pubs",
+  "pugs",
+  "pupa",
+  "purl",
+  "pwns",
+  "quad",
+  "quid",
+  "raga",
+  "razz",
+  "refs",
+  "reps",
+  "rhea",
+  "rick",
+  "riff",
+  "rill",
+  "rime",
+  "roan",
+  "roil",
+  "rood",
+  "rove",
+  "rube",
+  "rusk",
+  "sago",
+  "sans",
+  "sass",
+  "sate",
+  "scad",
+  "scam",
+  "scat",
+  "scow",
+  "scud",
+  "secs",
+  "semi",
+  "sere",
+  "serf",
+  "shad",
+  "shag",
+  "shah",
+  "shim",
+  "shit",
+  "sims",
+  "slaw",
+  "sloe",
+  "slue",
+  "snit",
+  "sols",
+  "sots",
+  "spam",
+  "spec",
+  "suet",
+  "sumo",
+  "sump",
+  "sups",
+  "swag",
+  "sync",
+  "tads",
+  "tamp",
+  "tams",
+  "tare",
+  "taro",
+  "tarp",
+  "tats",
+  "teal",
+  "temp",
+  "tern",
+  "thru",
+  "tics",
+  "tine",
+  "tofu",
+  "togs",
+  "toke",
+  "toms",
+  "tony",
+  "tors",
+  "tort",
+  "tram",
+  "trig",
+  "troy",
+  "tuns",
+  "turd",
+  "tush",
+  "tutu",
+  "twit",
+  "tyke",
+  "typo",
+  "tyro",
+  "ulna",
+  "umps",
+  "urea",
+  "uric",
+  "vale",
+  "vamp",
+  "vape",
+  "veep",
+  "veld",
+  "vibe",
+  "viol",
+  "viva",
+  "vole",
+  "wack",
+  "wadi",
+  "wale",
+  "ware",
+  "weal",
+  "weft",
+  "weir",
+  "wend",
+  "wens",
+  "wham",
+  "whey",
+  "whit",
+  "wiki",
+  "wile",
+  "wimp",
+  "wino",
+  "wuss",
+  "yawl",
+  "yaws",
+  "yeah",
+  "yeas",
+  "yeps",
+  "yest",
+  "yips",
+  "yogi",
+  "yore",
+  "yuks",
+  "yule",
+  "yups",
+  "zaps",
+  "zebu",
+  "zeds",
+  "zing",
+  "zits"
+];
+
+/**
+ * Every accepted 4-letter word (answers + valid guesses), sorted
+ */
+export const SOLUTIONS_LIST = [...ANSWERS_LIST, ...VALID_GUESSES_LIST].sort();
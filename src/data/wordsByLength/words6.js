@@ -0,0 +1,7061 @@
+// src/data/wordsByLength/words6.js
+//
+// 6-LETTER WORD LIST (generated by scripts/buildWordLists.js - do not edit by hand)
+//
+// Split into two lists, like solutions.js:
+// - ANSWERS_LIST: common words (SCOWL sizes 10-35), the likely answers in Wordle clones
+// - VALID_GUESSES_LIST: less common words accepted as guesses (SCOWL sizes up to 50)
+//
+// Word lists derived from SCOWL (http://wordlist.aspell.net/):
+//   Copyright 2000-2016 by Kevin Atkinson
+//   Permission to use, copy, modify, distribute and sell these word
+//   lists, the associated scripts, the output created from the scripts,
+//   and its documentation for any purpose is hereby granted without fee,
+//   provided that the above copyright notice appears in all copies and
+//   that both that copyright notice and this permission notice appear in
+//   supporting documentation. Kevin Atkinson makes no representations
+//   about the suitability of this array for any purpose. It is provided
+//   "as is" without express or implied warranty.
+
+/**
+ * Common 6-letter words (likely answers)
+ * Total: 5292 words
+ */
+export const ANSWERS_LIST = [
+  "abacus",
+  "abated",
+  "abates",
+  "abbeys",
+  "abbots",
+  "abduct",
+  "abhors",
+  "abides",
+  "abject",
+  "ablaze",
+  "ablest",
+  "aboard",
+  "abodes",
+  "aborts",
+  "abound",
+  "abroad",
+  "abrupt",
+  "absent",
+  "absorb",
+  "absurd",
+  "abused",
+  "abuser",
+  "abuses",
+  "accede",
+  "accent",
+  "accept",
+  "access",
+  "accord",
+  "accost",
+  "accrue",
+  "accuse",
+  "aching",
+  "acorns",
+  "acquit",
+  "across",
+  "acting",
+  "action",
+  "active",
+  "actors",
+  "actual",
+  "acumen",
+  "acuter",
+  "acutes",
+  "adages",
+  "adapts",
+  "addict",
+  "adding",
+  "adepts",
+  "adhere",
+  "adjoin",
+  "adjust",
+  "admire",
+  "admits",
+  "adobes",
+  "adopts",
+  "adored",
+  "adores",
+  "adorns",
+  "adrift",
+  "adroit",
+  "adults",
+  "advent",
+  "adverb",
+  "advert",
+  "advice",
+  "advise",
+  "aerial",
+  "affair",
+  "affect",
+  "affirm",
+  "afford",
+  "afield",
+  "aflame",
+  "afloat",
+  "afraid",
+  "afresh",
+  "agency",
+  "agenda",
+  "agents",
+  "aghast",
+  "agreed",
+  "agrees",
+  "aiding",
+  "ailing",
+  "aiming",
+  "airier",
+  "airing",
+  "aisles",
+  "alarms",
+  "albeit",
+  "albino",
+  "albums",
+  "alcove",
+  "alerts",
+  "alibis",
+  "aliens",
+  "alight",
+  "aligns",
+  "alkali",
+  "allays",
+  "allege",
+  "alleys",
+  "allied",
+  "allies",
+  "allots",
+  "allows",
+  "alloys",
+  "allude",
+  "allure",
+  "almond",
+  "almost",
+  "altars",
+  "alters",
+  "always",
+  "amazed",
+  "amazes",
+  "ambled",
+  "ambles",
+  "ambush",
+  "amends",
+  "amoeba",
+  "amoral",
+  "amount",
+  "ampere",
+  "ampler",
+  "amulet",
+  "amused",
+  "amuses",
+  "analog",
+  "anchor",
+  "anemia",
+  "anemic",
+  "angels",
+  "angers",
+  "angled",
+  "angler",
+  "angles",
+  "animal",
+  "ankles",
+  "annals",
+  "annoys",
+  "annual",
+  "annuls",
+  "anoint",
+  "anorak",
+  "answer",
+  "anthem",
+  "antics",
+  "antler",
+  "anuses",
+  "anvils",
+  "anyhow",
+  "anyone",
+  "anyway",
+  "aortas",
+  "apathy",
+  "apexes",
+  "apiece",
+  "aplomb",
+  "appall",
+  "appeal",
+  "appear",
+  "append",
+  "apples",
+  "aprons",
+  "aptest",
+  "arable",
+  "arbors",
+  "arcade",
+  "arcane",
+  "arched",
+  "archer",
+  "arches",
+  "arcing",
+  "ardent",
+  "ardors",
+  "arenas",
+  "argued",
+  "argues",
+  "arisen",
+  "arises",
+  "armies",
+  "arming",
+  "armors",
+  "armory",
+  "armpit",
+  "aromas",
+  "around",
+  "arouse",
+  "arrays",
+  "arrest",
+  "arrive",
+  "arrows",
+  "artery",
+  "artful",
+  "artist",
+  "ascend",
+  "ascent",
+  "ashcan",
+  "ashing",
+  "ashore",
+  "asides",
+  "asking",
+  "asleep",
+  "aspect",
+  "aspens",
+  "aspire",
+  "assail",
+  "assent",
+  "assert",
+  "assess",
+  "assets",
+  "assign",
+  "assist",
+  "assort",
+  "assume",
+  "assure",
+  "asthma",
+  "astray",
+  "astute",
+  "asylum",
+  "atomic",
+  "atoned",
+  "atones",
+  "attach",
+  "attack",
+  "attain",
+  "attend",
+  "attest",
+  "attics",
+  "attire",
+  "auburn",
+  "audios",
+  "audits",
+  "august",
+  "author",
+  "autumn",
+  "avails",
+  "avenge",
+  "avenue",
+  "averse",
+  "averts",
+  "avoids",
+  "avowal",
+  "avowed",
+  "awaits",
+  "awaken",
+  "awakes",
+  "awards",
+  "awhile",
+  "awning",
+  "awoken",
+  "axioms",
+  "azalea",
+  "azures",
+  "babble",
+  "babied",
+  "babier",
+  "babies",
+  "baboon",
+  "backed",
+  "backer",
+  "badder",
+  "badger",
+  "badges",
+  "baffle",
+  "bagels",
+  "bagged",
+  "bailed",
+  "baited",
+  "bakers",
+  "bakery",
+  "baking",
+  "balded",
+  "balder",
+  "baling",
+  "balked",
+  "ballad",
+  "balled",
+  "ballet",
+  "ballot",
+  "bamboo",
+  "banana",
+  "banded",
+  "bandit",
+  "banged",
+  "banish",
+  "banjos",
+  "banked",
+  "banker",
+  "banned",
+  "banner",
+  "banter",
+  "barbed",
+  "barber",
+  "barely",
+  "barest",
+  "barged",
+  "barges",
+  "baring",
+  "barked",
+  "barley",
+  "barman",
+  "barons",
+  "barred",
+  "barrel",
+  "barren",
+  "barter",
+  "basest",
+  "bashed",
+  "bashes",
+  "basics",
+  "basing",
+  "basins",
+  "basked",
+  "basket",
+  "basses",
+  "basted",
+  "bastes",
+  "bathed",
+  "bathes",
+  "batons",
+  "batted",
+  "batter",
+  "battle",
+  "bawled",
+  "baying",
+  "bayous",
+  "bazaar",
+  "beacon",
+  "beaded",
+  "beagle",
+  "beaked",
+  "beaker",
+  "beamed",
+  "beaned",
+  "beards",
+  "bearer",
+  "beasts",
+  "beaten",
+  "beater",
+  "beauty",
+  "beaver",
+  "became",
+  "beckon",
+  "become",
+  "bedbug",
+  "bedded",
+  "bedder",
+  "bedlam",
+  "beefed",
+  "beeper",
+  "beetle",
+  "beeves",
+  "befall",
+  "befell",
+  "befits",
+  "before",
+  "beggar",
+  "begged",
+  "begins",
+  "behalf",
+  "behave",
+  "behead",
+  "beheld",
+  "behind",
+  "behold",
+  "beings",
+  "belfry",
+  "belied",
+  "belief",
+  "belies",
+  "belled",
+  "bellow",
+  "belong",
+  "belted",
+  "bemoan",
+  "bemuse",
+  "bender",
+  "benign",
+  "bereft",
+  "berets",
+  "berths",
+  "besets",
+  "beside",
+  "bested",
+  "bestow",
+  "betcha",
+  "betray",
+  "better",
+  "bettor",
+  "beware",
+  "beyond",
+  "biased",
+  "biases",
+  "bicker",
+  "bidden",
+  "biding",
+  "bigamy",
+  "bigger",
+  "bigots",
+  "biking",
+  "bikini",
+  "billed",
+  "billow",
+  "binary",
+  "binder",
+  "binned",
+  "bipeds",
+  "birded",
+  "births",
+  "bisect",
+  "bishop",
+  "biting",
+  "bitmap",
+  "bitten",
+  "bitter",
+  "blacks",
+  "blades",
+  "blamed",
+  "blamer",
+  "blames",
+  "blanch",
+  "blanks",
+  "blared",
+  "blares",
+  "blasts",
+  "blazed",
+  "blazer",
+  "blazes",
+  "bleach",
+  "bleary",
+  "bleats",
+  "bleeds",
+  "blends",
+  "blight",
+  "blimps",
+  "blinds",
+  "blinks",
+  "blithe",
+  "blocks",
+  "blonde",
+  "blonds",
+  "bloods",
+  "bloody",
+  "blooms",
+  "blotch",
+  "blouse",
+  "bluest",
+  "bluffs",
+  "bluing",
+  "blunts",
+  "blurts",
+  "boards",
+  "boasts",
+  "boated",
+  "bobbed",
+  "bobbin",
+  "bobcat",
+  "bodice",
+  "bodies",
+  "bodily",
+  "boding",
+  "bogged",
+  "boggle",
+  "boiled",
+  "boiler",
+  "bolder",
+  "boldly",
+  "bolted",
+  "bombed",
+  "bomber",
+  "bonded",
+  "bonier",
+  "boning",
+  "bonnet",
+  "booing",
+  "booked",
+  "boomed",
+  "boosts",
+  "booted",
+  "bootee",
+  "booths",
+  "border",
+  "boring",
+  "borrow",
+  "bosoms",
+  "bossed",
+  "bosses",
+  "botany",
+  "bother",
+  "bottle",
+  "bottom",
+  "boughs",
+  "bought",
+  "bounce",
+  "bounds",
+  "bounty",
+  "bovine",
+  "bowels",
+  "bowing",
+  "bowled",
+  "bowler",
+  "boxcar",
+  "boxers",
+  "boxing",
+  "boyish",
+  "braced",
+  "braces",
+  "braids",
+  "brains",
+  "brainy",
+  "braise",
+  "braked",
+  "brakes",
+  "branch",
+  "brands",
+  "brandy",
+  "brassy",
+  "braved",
+  "braver",
+  "braves",
+  "bravos",
+  "brawls",
+  "brawny",
+  "brayed",
+  "brazen",
+  "breach",
+  "breads",
+  "breaks",
+  "breast",
+  "breath",
+  "breeds",
+  "breeze",
+  "breezy",
+  "brewed",
+  "bribed",
+  "bribes",
+  "bricks",
+  "bridal",
+  "brides",
+  "bridge",
+  "bridle",
+  "briefs",
+  "bright",
+  "brings",
+  "brinks",
+  "brisks",
+  "broach",
+  "broads",
+  "broils",
+  "broken",
+  "broker",
+  "bronco",
+  "bronze",
+  "brooch",
+  "broods",
+  "brooks",
+  "brooms",
+  "broths",
+  "browns",
+  "browse",
+  "bruise",
+  "brunch",
+  "brutal",
+  "brutes",
+  "bubble",
+  "bubbly",
+  "bucked",
+  "bucket",
+  "buckle",
+  "budded",
+  "budged",
+  "budges",
+  "budget",
+  "buffed",
+  "buffer",
+  "buffet",
+  "bugged",
+  "bugger",
+  "bugled",
+  "bugler",
+  "bugles",
+  "builds",
+  "bulged",
+  "bulges",
+  "bulked",
+  "bulled",
+  "bullet",
+  "bummed",
+  "bummer",
+  "bumped",
+  "bumper",
+  "bundle",
+  "bungle",
+  "bunion",
+  "bunked",
+  "bunker",
+  "buoyed",
+  "burble",
+  "burden",
+  "bureau",
+  "burger",
+  "burgle",
+  "burial",
+  "buried",
+  "buries",
+  "burlap",
+  "burned",
+  "burner",
+  "burped",
+  "burred",
+  "burros",
+  "burrow",
+  "bursar",
+  "bursts",
+  "bushed",
+  "bushel",
+  "bushes",
+  "busied",
+  "busier",
+  "busies",
+  "busily",
+  "busing",
+  "busted",
+  "bustle",
+  "butler",
+  "butted",
+  "butter",
+  "buttes",
+  "button",
+  "buyers",
+  "buying",
+  "buzzed",
+  "buzzer",
+  "buzzes",
+  "bygone",
+  "bypass",
+  "byways",
+  "cabbed",
+  "cabins",
+  "cabled",
+  "cables",
+  "cacaos",
+  "cached",
+  "caches",
+  "cackle",
+  "cactus",
+  "caddie",
+  "cadets",
+  "cagier",
+  "caging",
+  "cajole",
+  "caking",
+  "calico",
+  "calked",
+  "called",
+  "caller",
+  "callow",
+  "callus",
+  "calmed",
+  "calmer",
+  "calmly",
+  "calves",
+  "camels",
+  "cameos",
+  "camera",
+  "camped",
+  "camper",
+  "campus",
+  "canals",
+  "canary",
+  "cancel",
+  "cancer",
+  "candid",
+  "candle",
+  "candor",
+  "canine",
+  "caning",
+  "canker",
+  "canned",
+  "cannon",
+  "cannot",
+  "canoed",
+  "canoes",
+  "canons",
+  "canopy",
+  "canter",
+  "canvas",
+  "canyon",
+  "capers",
+  "capped",
+  "captor",
+  "carats",
+  "carbon",
+  "carded",
+  "career",
+  "caress",
+  "caring",
+  "carnal",
+  "carols",
+  "carped",
+  "carpet",
+  "carrot",
+  "carted",
+  "cartel",
+  "carton",
+  "carved",
+  "carves",
+  "cashed",
+  "cashes",
+  "cashew",
+  "casing",
+  "casino",
+  "casket",
+  "caster",
+  "castes",
+  "castle",
+  "casual",
+  "catchy",
+  "caters",
+  "catnap",
+  "catnip",
+  "cattle",
+  "caucus",
+  "caught",
+  "caulks",
+  "causal",
+  "caused",
+  "causes",
+  "caveat",
+  "cavern",
+  "caviar",
+  "caving",
+  "cavity",
+  "cavort",
+  "cawing",
+  "ceased",
+  "ceases",
+  "cedars",
+  "ceding",
+  "celery",
+  "cellar",
+  "cellos",
+  "cement",
+  "censor",
+  "census",
+  "center",
+  "cereal",
+  "chafed",
+  "chafes",
+  "chaffs",
+  "chains",
+  "chairs",
+  "chalet",
+  "chalks",
+  "chalky",
+  "champs",
+  "chance",
+  "change",
+  "chants",
+  "chapel",
+  "charge",
+  "charms",
+  "charts",
+  "chased",
+  "chases",
+  "chasms",
+  "chaste",
+  "chatty",
+  "cheats",
+  "checks",
+  "cheeks",
+  "cheeps",
+  "cheers",
+  "cheery",
+  "cheese",
+  "cherry",
+  "cherub",
+  "chests",
+  "chewed",
+  "chicer",
+  "chicks",
+  "chided",
+  "chides",
+  "chiefs",
+  "chills",
+  "chilly",
+  "chimed",
+  "chimes",
+  "chimps",
+  "chinks",
+  "chintz",
+  "chirps",
+  "chisel",
+  "choice",
+  "choirs",
+  "choked",
+  "chokes",
+  "choose",
+  "choosy",
+  "choppy",
+  "choral",
+  "chords",
+  "chores",
+  "chorus",
+  "chosen",
+  "chowed",
+  "chrome",
+  "chubby",
+  "chucks",
+  "chummy",
+  "chunks",
+  "chunky",
+  "church",
+  "churns",
+  "chutes",
+  "ciders",
+  "cigars",
+  "cinder",
+  "cinema",
+  "cipher",
+  "circle",
+  "circus",
+  "cities",
+  "citing",
+  "citric",
+  "citrus",
+  "civics",
+  "clacks",
+  "claims",
+  "clammy",
+  "clamor",
+  "clamps",
+  "clangs",
+  "clanks",
+  "claret",
+  "clasps",
+  "classy",
+  "clause",
+  "clawed",
+  "cleans",
+  "clears",
+  "cleats",
+  "cleave",
+  "clefts",
+  "clench",
+  "clergy",
+  "cleric",
+  "clerks",
+  "clever",
+  "clicks",
+  "client",
+  "cliffs",
+  "climax",
+  "climbs",
+  "climes",
+  "clinch",
+  "clings",
+  "clinic",
+  "clinks",
+  "clique",
+  "cloaks",
+  "clocks",
+  "clones",
+  "closed",
+  "closer",
+  "closes",
+  "closet",
+  "clothe",
+  "cloths",
+  "clouds",
+  "cloudy",
+  "clouts",
+  "cloven",
+  "clover",
+  "cloves",
+  "clowns",
+  "clucks",
+  "cluing",
+  "clumps",
+  "clumsy",
+  "clutch",
+  "coaled",
+  "coarse",
+  "coasts",
+  "coated",
+  "coaxed",
+  "coaxes",
+  "cobalt",
+  "cobble",
+  "cobras",
+  "cobweb",
+  "cocked",
+  "cocoas",
+  "cocoon",
+  "codded",
+  "coding",
+  "coerce",
+  "coffee",
+  "coffer",
+  "coffin",
+  "cogent",
+  "cognac",
+  "coiled",
+  "coined",
+  "coking",
+  "colder",
+  "coldly",
+  "collar",
+  "collie",
+  "colons",
+  "colony",
+  "colors",
+  "column",
+  "combat",
+  "combed",
+  "comedy",
+  "comely",
+  "comets",
+  "comics",
+  "coming",
+  "commas",
+  "commit",
+  "common",
+  "compel",
+  "comply",
+  "concur",
+  "condom",
+  "condor",
+  "confer",
+  "conned",
+  "consul",
+  "convex",
+  "convey",
+  "convoy",
+  "cooing",
+  "cooked",
+  "cooker",
+  "cookie",
+  "cooled",
+  "cooler",
+  "coolly",
+  "cooped",
+  "cooper",
+  "copied",
+  "copier",
+  "copies",
+  "coping",
+  "copped",
+  "copper",
+  "corals",
+  "corded",
+  "cordon",
+  "coring",
+  "corked",
+  "cornea",
+  "corned",
+  "corner",
+  "cornet",
+  "corpse",
+  "corpus",
+  "corral",
+  "corset",
+  "cortex",
+  "cosmic",
+  "cosmos",
+  "costed",
+  "costly",
+  "cotton",
+  "cougar",
+  "coughs",
+  "counts",
+  "county",
+  "couple",
+  "coupon",
+  "course",
+  "courts",
+  "cousin",
+  "covers",
+  "covert",
+  "covets",
+  "coward",
+  "cowboy",
+  "cowers",
+  "cowing",
+  "coyest",
+  "coyote",
+  "cozier",
+  "cozies",
+  "cozily",
+  "crabby",
+  "cracks",
+  "cradle",
+  "crafts",
+  "crafty",
+  "craggy",
+  "cramps",
+  "craned",
+  "cranes",
+  "cranks",
+  "cranky",
+  "crated",
+  "crater",
+  "crates",
+  "craved",
+  "craves",
+  "crawls",
+  "crayon",
+  "crazed",
+  "crazes",
+  "creaks",
+  "creaky",
+  "creams",
+  "creamy",
+  "crease",
+  "create",
+  "credit",
+  "creeds",
+  "creeks",
+  "creeps",
+  "creepy",
+  "crepes",
+  "crests",
+  "cretin",
+  "crewed",
+  "crimes",
+  "cringe",
+  "crises",
+  "crisis",
+  "crisps",
+  "crispy",
+  "critic",
+  "croaks",
+  "crocks",
+  "crocus",
+  "crofts",
+  "crooks",
+  "croons",
+  "crotch",
+  "crouch",
+  "crowds",
+  "crowed",
+  "crowns",
+  "cruder",
+  "cruise",
+  "crumbs",
+  "crummy",
+  "crunch",
+  "crusts",
+  "crusty",
+  "crutch",
+  "cruxes",
+  "crying",
+  "crypts",
+  "cubing",
+  "cuckoo",
+  "cuddle",
+  "cuddly",
+  "cuffed",
+  "culled",
+  "cupful",
+  "cupped",
+  "curbed",
+  "curdle",
+  "curfew",
+  "curing",
+  "curios",
+  "curled",
+  "cursed",
+  "curses",
+  "cursor",
+  "curter",
+  "curtsy",
+  "curved",
+  "curves",
+  "custom",
+  "cutest",
+  "cutlet",
+  "cutter",
+  "cycled",
+  "cycles",
+  "cyclic",
+  "cymbal",
+  "cynics",
+  "dabbed",
+  "dabble",
+  "daemon",
+  "dagger",
+  "dainty",
+  "daises",
+  "damage",
+  "dammed",
+  "damned",
+  "damped",
+  "dampen",
+  "damper",
+  "damsel",
+  "danced",
+  "dancer",
+  "dances",
+  "danger",
+  "dangle",
+  "danker",
+  "dapper",
+  "daring",
+  "darken",
+  "darker",
+  "darkly",
+  "darned",
+  "darted",
+  "dashed",
+  "dashes",
+  "dating",
+  "daubed",
+  "daunts",
+  "dawdle",
+  "dawned",
+  "dazing",
+  "dazzle",
+  "deacon",
+  "deaden",
+  "deader",
+  "deadly",
+  "deafer",
+  "dealer",
+  "dearer",
+  "dearly",
+  "dearth",
+  "deaths",
+  "deaves",
+  "debase",
+  "debate",
+  "debits",
+  "debris",
+  "debtor",
+  "debugs",
+  "debunk",
+  "debuts",
+  "decade",
+  "decays",
+  "deceit",
+  "decent",
+  "decide",
+  "decked",
+  "decode",
+  "decoys",
+  "decree",
+  "deduce",
+  "deduct",
+  "deeded",
+  "deemed",
+  "deepen",
+  "deeper",
+  "deeply",
+  "deface",
+  "defame",
+  "defeat",
+  "defect",
+  "defend",
+  "defers",
+  "defied",
+  "defies",
+  "defile",
+  "define",
+  "deform",
+  "defter",
+  "deftly",
+  "degree",
+  "deigns",
+  "deject",
+  "delays",
+  "delete",
+  "deltas",
+  "delude",
+  "deluge",
+  "deluxe",
+  "delved",
+  "delves",
+  "demand",
+  "demean",
+  "demise",
+  "demons",
+  "demote",
+  "demure",
+  "denial",
+  "denied",
+  "denies",
+  "denims",
+  "denote",
+  "denser",
+  "dental",
+  "dented",
+  "depart",
+  "depend",
+  "depict",
+  "deport",
+  "depose",
+  "depots",
+  "depths",
+  "deputy",
+  "derail",
+  "deride",
+  "derive",
+  "desert",
+  "design",
+  "desire",
+  "desist",
+  "despot",
+  "detach",
+  "detail",
+  "detain",
+  "detect",
+  "deters",
+  "detest",
+  "detour",
+  "device",
+  "devils",
+  "devise",
+  "devoid",
+  "devote",
+  "devour",
+  "devout",
+  "dialed",
+  "dialog",
+  "diaper",
+  "dicing",
+  "diesel",
+  "dieted",
+  "differ",
+  "digest",
+  "digits",
+  "diking",
+  "dilate",
+  "dilute",
+  "dimmed",
+  "dimmer",
+  "dimple",
+  "diners",
+  "dinghy",
+  "dining",
+  "dinned",
+  "dinner",
+  "dipped",
+  "direct",
+  "direst",
+  "dirges",
+  "disarm",
+  "discos",
+  "discus",
+  "dished",
+  "dishes",
+  "dismal",
+  "dismay",
+  "disown",
+  "dispel",
+  "disuse",
+  "dither",
+  "dittos",
+  "divers",
+  "divert",
+  "divest",
+  "divide",
+  "divine",
+  "diving",
+  "docile",
+  "docked",
+  "doctor",
+  "dodged",
+  "dodges",
+  "dogged",
+  "dogmas",
+  "doling",
+  "dollar",
+  "dolled",
+  "domain",
+  "doming",
+  "domino",
+  "donate",
+  "donkey",
+  "donors",
+  "doodle",
+  "doomed",
+  "dopier",
+  "doping",
+  "dorsal",
+  "dosing",
+  "doting",
+  "dotted",
+  "double",
+  "doubly",
+  "doubts",
+  "dourer",
+  "doused",
+  "douses",
+  "downed",
+  "dozens",
+  "dozing",
+  "drafts",
+  "drafty",
+  "dragon",
+  "drains",
+  "dramas",
+  "draped",
+  "drapes",
+  "drawer",
+  "drawls",
+  "dreads",
+  "dreams",
+  "dreamy",
+  "dreary",
+  "dredge",
+  "drench",
+  "dressy",
+  "driers",
+  "driest",
+  "drifts",
+  "drills",
+  "drinks",
+  "drivel",
+  "driven",
+  "driver",
+  "drives",
+  "droned",
+  "drones",
+  "drools",
+  "droops",
+  "droves",
+  "drowns",
+  "drowse",
+  "drowsy",
+  "drudge",
+  "drunks",
+  "dryers",
+  "drying",
+  "dubbed",
+  "ducked",
+  "duding",
+  "dueled",
+  "dugout",
+  "dulled",
+  "duller",
+  "dumber",
+  "dumped",
+  "dunces",
+  "dunged",
+  "dunked",
+  "duping",
+  "duplex",
+  "duress",
+  "during",
+  "dusted",
+  "duties",
+  "dwarfs",
+  "dwells",
+  "dyeing",
+  "dynamo",
+  "eagles",
+  "earned",
+  "earner",
+  "earths",
+  "earthy",
+  "easels",
+  "easier",
+  "easily",
+  "easing",
+  "eating",
+  "ebbing",
+  "echoed",
+  "echoes",
+  "eczema",
+  "eddied",
+  "eddies",
+  "edgier",
+  "edging",
+  "edible",
+  "edicts",
+  "edited",
+  "editor",
+  "eerier",
+  "effect",
+  "effigy",
+  "effort",
+  "egging",
+  "egoism",
+  "eighth",
+  "eights",
+  "eighty",
+  "either",
+  "ejects",
+  "elapse",
+  "elbows",
+  "elders",
+  "eldest",
+  "elects",
+  "eleven",
+  "elicit",
+  "elites",
+  "eloped",
+  "elopes",
+  "eluded",
+  "eludes",
+  "emails",
+  "embalm",
+  "embark",
+  "embeds",
+  "embers",
+  "emblem",
+  "embody",
+  "emboss",
+  "embryo",
+  "emerge",
+  "empire",
+  "employ",
+  "enable",
+  "enacts",
+  "enamel",
+  "encase",
+  "encode",
+  "encore",
+  "endear",
+  "ending",
+  "endive",
+  "endows",
+  "endure",
+  "enemas",
+  "energy",
+  "engage",
+  "engine",
+  "engulf",
+  "enigma",
+  "enjoys",
+  "enlist",
+  "enmity",
+  "enough",
+  "enrage",
+  "enrich",
+  "enroll",
+  "ensign",
+  "ensued",
+  "ensues",
+  "ensure",
+  "entail",
+  "enters",
+  "entice",
+  "entire",
+  "entity",
+  "entrap",
+  "envied",
+  "envies",
+  "envoys",
+  "enzyme",
+  "epochs",
+  "equals",
+  "equate",
+  "equine",
+  "equips",
+  "equity",
+  "erased",
+  "eraser",
+  "erases",
+  "erects",
+  "eroded",
+  "erodes",
+  "erotic",
+  "errand",
+  "errant",
+  "erring",
+  "errors",
+  "erupts",
+  "escape",
+  "escort",
+  "essays",
+  "estate",
+  "esteem",
+  "etched",
+  "etches",
+  "ethics",
+  "ethnic",
+  "eulogy",
+  "eureka",
+  "evaded",
+  "evades",
+  "evened",
+  "evener",
+  "evenly",
+  "events",
+  "evicts",
+  "eviler",
+  "evoked",
+  "evokes",
+  "evolve",
+  "exacts",
+  "exalts",
+  "exceed",
+  "excels",
+  "except",
+  "excess",
+  "excise",
+  "excite",
+  "excuse",
+  "exempt",
+  "exerts",
+  "exhale",
+  "exhort",
+  "exhume",
+  "exiled",
+  "exiles",
+  "exists",
+  "exited",
+  "exodus",
+  "exotic",
+  "expand",
+  "expect",
+  "expels",
+  "expend",
+  "expert",
+  "expire",
+  "expiry",
+  "export",
+  "expose",
+  "extant",
+  "extend",
+  "extent",
+  "extols",
+  "extort",
+  "extras",
+  "exuded",
+  "exudes",
+  "exults",
+  "eyeing",
+  "eyelid",
+  "fables",
+  "fabric",
+  "facade",
+  "facets",
+  "facial",
+  "facile",
+  "facing",
+  "factor",
+  "fading",
+  "faggot",
+  "fagots",
+  "failed",
+  "faints",
+  "fairer",
+  "fairly",
+  "faiths",
+  "faking",
+  "falcon",
+  "fallen",
+  "falser",
+  "falter",
+  "family",
+  "famine",
+  "famous",
+  "fanned",
+  "farces",
+  "faring",
+  "farmed",
+  "farmer",
+  "fasted",
+  "fasten",
+  "faster",
+  "father",
+  "fathom",
+  "fating",
+  "fatten",
+  "fatter",
+  "faucet",
+  "faults",
+  "faulty",
+  "faunas",
+  "favors",
+  "fawned",
+  "fazing",
+  "feared",
+  "feasts",
+  "feeble",
+  "feeder",
+  "feeler",
+  "feigns",
+  "feints",
+  "feline",
+  "felled",
+  "feller",
+  "fellow",
+  "felons",
+  "felony",
+  "felted",
+  "female",
+  "fenced",
+  "fences",
+  "fended",
+  "fender",
+  "ferret",
+  "fervor",
+  "fester",
+  "feting",
+  "fetish",
+  "fetter",
+  "feudal",
+  "feuded",
+  "fevers",
+  "fewest",
+  "fezzes",
+  "fiasco",
+  "fibbed",
+  "fibber",
+  "fibers",
+  "fickle",
+  "fiddle",
+  "fiddly",
+  "fidget",
+  "fields",
+  "fiends",
+  "fierce",
+  "fiesta",
+  "fifths",
+  "fights",
+  "figure",
+  "filing",
+  "filled",
+  "filler",
+  "fillet",
+  "filmed",
+  "filter",
+  "filthy",
+  "finale",
+  "finals",
+  "finely",
+  "finest",
+  "finger",
+  "fining",
+  "finish",
+  "finite",
+  "firing",
+  "firmed",
+  "firmer",
+  "firmly",
+  "firsts",
+  "fiscal",
+  "fished",
+  "fisher",
+  "fishes",
+  "fitful",
+  "fitted",
+  "fitter",
+  "fixing",
+  "fizzed",
+  "fizzes",
+  "fizzle",
+  "flabby",
+  "flails",
+  "flairs",
+  "flaked",
+  "flakes",
+  "flamed",
+  "flames",
+  "flanks",
+  "flared",
+  "flares",
+  "flashy",
+  "flasks",
+  "flatly",
+  "flaunt",
+  "flavor",
+  "flawed",
+  "flecks",
+  "fleece",
+  "fleecy",
+  "fleets",
+  "fleshy",
+  "flexed",
+  "flexes",
+  "flicks",
+  "fliers",
+  "fliest",
+  "flight",
+  "flimsy",
+  "flinch",
+  "flings",
+  "flints",
+  "flirts",
+  "floats",
+  "flocks",
+  "floods",
+  "floors",
+  "floppy",
+  "floral",
+  "floras",
+  "florid",
+  "flours",
+  "flouts",
+  "flowed",
+  "flower",
+  "fluent",
+  "fluffs",
+  "fluffy",
+  "fluids",
+  "flukes",
+  "flunks",
+  "flunky",
+  "flurry",
+  "fluted",
+  "flutes",
+  "fluxed",
+  "fluxes",
+  "flying",
+  "foaled",
+  "foamed",
+  "fodder",
+  "fogged",
+  "fogies",
+  "foible",
+  "foiled",
+  "foists",
+  "folded",
+  "folder",
+  "folksy",
+  "follow",
+  "foment",
+  "fonder",
+  "fondle",
+  "fondly",
+  "fooled",
+  "footed",
+  "forage",
+  "forays",
+  "forbid",
+  "forced",
+  "forces",
+  "forded",
+  "forego",
+  "forest",
+  "forged",
+  "forger",
+  "forges",
+  "forget",
+  "forgot",
+  "forked",
+  "formal",
+  "format",
+  "formed",
+  "former",
+  "fortes",
+  "forums",
+  "fossil",
+  "foster",
+  "fought",
+  "fouled",
+  "fouler",
+  "founds",
+  "founts",
+  "fourth",
+  "fowled",
+  "foxier",
+  "foxing",
+  "foyers",
+  "fracas",
+  "framed",
+  "frames",
+  "francs",
+  "franks",
+  "frauds",
+  "frayed",
+  "freaks",
+  "freely",
+  "freest",
+  "freeze",
+  "french",
+  "frenzy",
+  "friars",
+  "friend",
+  "frieze",
+  "fright",
+  "frigid",
+  "frills",
+  "frilly",
+  "fringe",
+  "frisks",
+  "frisky",
+  "frizzy",
+  "frocks",
+  "frolic",
+  "fronds",
+  "fronts",
+  "frosts",
+  "frosty",
+  "froths",
+  "frothy",
+  "frowns",
+  "frozen",
+  "frugal",
+  "fruits",
+  "fruity",
+  "frying",
+  "fudged",
+  "fudges",
+  "fueled",
+  "fulled",
+  "fuller",
+  "fumble",
+  "fuming",
+  "funded",
+  "fungus",
+  "funnel",
+  "funner",
+  "furies",
+  "furled",
+  "furors",
+  "furred",
+  "furrow",
+  "fusing",
+  "fusion",
+  "fussed",
+  "fusses",
+  "futile",
+  "future",
+  "fuzzed",
+  "fuzzes",
+  "gabbed",
+  "gables",
+  "gadget",
+  "gagged",
+  "gaiety",
+  "gained",
+  "galaxy",
+  "galled",
+  "galley",
+  "gallon",
+  "gallop",
+  "galore",
+  "gambit",
+  "gamble",
+  "gamest",
+  "gaming",
+  "gamuts",
+  "gander",
+  "ganged",
+  "gaping",
+  "garage",
+  "garbed",
+  "garble",
+  "garden",
+  "gargle",
+  "garish",
+  "garlic",
+  "garnet",
+  "garret",
+  "garter",
+  "gashed",
+  "gashes",
+  "gasket",
+  "gasped",
+  "gassed",
+  "gather",
+  "gating",
+  "gauged",
+  "gauges",
+  "gavels",
+  "gawked",
+  "gayest",
+  "gazing",
+  "geared",
+  "geeing",
+  "gelded",
+  "gender",
+  "genera",
+  "genial",
+  "genies",
+  "genius",
+  "genres",
+  "gentle",
+  "gently",
+  "gentry",
+  "gerbil",
+  "geyser",
+  "ghetto",
+  "ghosts",
+  "ghouls",
+  "giants",
+  "gibber",
+  "gibing",
+  "gifted",
+  "gigged",
+  "giggle",
+  "gilded",
+  "ginger",
+  "ginned",
+  "girder",
+  "girdle",
+  "girths",
+  "givens",
+  "giving",
+  "glades",
+  "gladly",
+  "glance",
+  "glands",
+  "glared",
+  "glares",
+  "glassy",
+  "glazed",
+  "glazes",
+  "gleams",
+  "gleans",
+  "glibly",
+  "glided",
+  "glider",
+  "glides",
+  "glints",
+  "gloats",
+  "global",
+  "globes",
+  "gloomy",
+  "glossy",
+  "gloved",
+  "gloves",
+  "glowed",
+  "glower",
+  "gluing",
+  "gnarls",
+  "gnawed",
+  "gnomes",
+  "goaded",
+  "goalie",
+  "goatee",
+  "gobbed",
+  "gobble",
+  "goblet",
+  "goblin",
+  "goggle",
+  "golden",
+  "golfed",
+  "golfer",
+  "goners",
+  "gonged",
+  "goofed",
+  "gooier",
+  "goosed",
+  "gooses",
+  "gopher",
+  "gorged",
+  "gorges",
+  "gorier",
+  "goring",
+  "gospel",
+  "gossip",
+  "gotten",
+  "gouged",
+  "gouges",
+  "gourds",
+  "govern",
+  "gowned",
+  "graced",
+  "graces",
+  "graded",
+  "grader",
+  "grades",
+  "grafts",
+  "grains",
+  "grands",
+  "granny",
+  "grants",
+  "grapes",
+  "graphs",
+  "grasps",
+  "grassy",
+  "grated",
+  "grater",
+  "grates",
+  "graved",
+  "gravel",
+  "graven",
+  "graver",
+  "graves",
+  "grayed",
+  "grayer",
+  "grazed",
+  "grazes",
+  "grease",
+  "greasy",
+  "greats",
+  "greedy",
+  "greens",
+  "greets",
+  "griefs",
+  "grieve",
+  "grille",
+  "grills",
+  "grimed",
+  "grimes",
+  "grimly",
+  "grinds",
+  "griped",
+  "gripes",
+  "grisly",
+  "gritty",
+  "groans",
+  "grocer",
+  "groggy",
+  "groins",
+  "grooms",
+  "groove",
+  "groovy",
+  "groped",
+  "gropes",
+  "grotto",
+  "grouch",
+  "ground",
+  "groups",
+  "grouse",
+  "grovel",
+  "groves",
+  "grower",
+  "growls",
+  "growth",
+  "grubby",
+  "grudge",
+  "grumpy",
+  "grunts",
+  "guards",
+  "guests",
+  "guffaw",
+  "guided",
+  "guides",
+  "guilds",
+  "guilty",
+  "guinea",
+  "guises",
+  "guitar",
+  "gulled",
+  "gullet",
+  "gulped",
+  "gummed",
+  "gunman",
+  "gunmen",
+  "gunned",
+  "gunner",
+  "gurgle",
+  "gushed",
+  "gusher",
+  "gushes",
+  "gusted",
+  "gutted",
+  "gutter",
+  "guying",
+  "guzzle",
+  "gyrate",
+  "habits",
+  "hacked",
+  "hacker",
+  "haggle",
+  "hailed",
+  "hairdo",
+  "haired",
+  "halest",
+  "haling",
+  "haloed",
+  "halted",
+  "halter",
+  "halved",
+  "halves",
+  "hamlet",
+  "hammed",
+  "hammer",
+  "hamper",
+  "handed",
+  "handle",
+  "hangar",
+  "hanged",
+  "hanger",
+  "hanker",
+  "happen",
+  "harass",
+  "harbor",
+  "harden",
+  "harder",
+  "hardly",
+  "harems",
+  "haring",
+  "harked",
+  "harlot",
+  "harmed",
+  "harped",
+  "harrow",
+  "hashed",
+  "hashes",
+  "hassle",
+  "hasted",
+  "hasten",
+  "hastes",
+  "hating",
+  "hatred",
+  "hatted",
+  "hauled",
+  "haunts",
+  "havens",
+  "having",
+  "hawked",
+  "haying",
+  "hazard",
+  "hazels",
+  "hazier",
+  "hazing",
+  "headed",
+  "header",
+  "healed",
+  "healer",
+  "health",
+  "heaped",
+  "hearse",
+  "hearth",
+  "hearts",
+  "hearty",
+  "heated",
+  "heater",
+  "heaved",
+  "heaven",
+  "heaves",
+  "heckle",
+  "hectic",
+  "hedged",
+  "hedges",
+  "heeded",
+  "heeled",
+  "heifer",
+  "height",
+  "helium",
+  "hellos",
+  "helmet",
+  "helped",
+  "helper",
+  "hemmed",
+  "herald",
+  "herded",
+  "hereby",
+  "herein",
+  "heresy",
+  "hermit",
+  "hernia",
+  "heroes",
+  "heroic",
+  "heroin",
+  "herons",
+  "herpes",
+  "hewing",
+  "heyday",
+  "hiatus",
+  "hiccup",
+  "hidden",
+  "hiding",
+  "higher",
+  "highly",
+  "hijack",
+  "hikers",
+  "hiking",
+  "hinder",
+  "hinged",
+  "hinges",
+  "hinted",
+  "hipped",
+  "hipper",
+  "hippie",
+  "hiring",
+  "hissed",
+  "hisses",
+  "hither",
+  "hiving",
+  "hoards",
+  "hoarse",
+  "hoaxed",
+  "hoaxes",
+  "hobbit",
+  "hobble",
+  "hobnob",
+  "hocked",
+  "hockey",
+  "hoeing",
+  "hogged",
+  "hoists",
+  "holder",
+  "holdup",
+  "holier",
+  "holing",
+  "holler",
+  "hollow",
+  "homage",
+  "homely",
+  "homeys",
+  "homier",
+  "homing",
+  "honest",
+  "honeys",
+  "honing",
+  "honked",
+  "honors",
+  "hooded",
+  "hoofed",
+  "hooked",
+  "hooped",
+  "hooray",
+  "hooted",
+  "hooter",
+  "hooves",
+  "hoping",
+  "hopped",
+  "hopper",
+  "horded",
+  "hordes",
+  "horned",
+  "hornet",
+  "horrid",
+  "horror",
+  "horsed",
+  "horses",
+  "hosing",
+  "hosted",
+  "hostel",
+  "hotbed",
+  "hotels",
+  "hotter",
+  "hounds",
+  "hourly",
+  "housed",
+  "houses",
+  "hovels",
+  "hovers",
+  "howled",
+  "hubbub",
+  "huddle",
+  "huffed",
+  "hugely",
+  "hugest",
+  "hugged",
+  "hulled",
+  "humane",
+  "humans",
+  "humble",
+  "humbly",
+  "humbug",
+  "hummed",
+  "humors",
+  "humped",
+  "hunger",
+  "hungry",
+  "hunted",
+  "hunter",
+  "hurdle",
+  "hurled",
+  "hurrah",
+  "hurtle",
+  "hushed",
+  "hushes",
+  "husked",
+  "hustle",
+  "hybrid",
+  "hyenas",
+  "hymnal",
+  "hymned",
+  "hyphen",
+  "icicle",
+  "iciest",
+  "icings",
+  "ideals",
+  "idiocy",
+  "idioms",
+  "idiots",
+  "idlest",
+  "idling",
+  "igloos",
+  "ignite",
+  "ignore",
+  "iguana",
+  "imaged",
+  "images",
+  "immune",
+  "impact",
+  "impair",
+  "impale",
+  "impart",
+  "impede",
+  "impels",
+  "impend",
+  "impish",
+  "import",
+  "impose",
+  "impure",
+  "inaner",
+  "inborn",
+  "inbred",
+  "incest",
+  "inched",
+  "inches",
+  "incite",
+  "income",
+  "incurs",
+  "indeed",
+  "indent",
+  "indict",
+  "indigo",
+  "indoor",
+  "induce",
+  "induct",
+  "infamy",
+  "infant",
+  "infect",
+  "infers",
+  "infest",
+  "infirm",
+  "influx",
+  "inform",
+  "infuse",
+  "ingest",
+  "inhale",
+  "inject",
+  "injure",
+  "injury",
+  "inkier",
+  "inking",
+  "inlaid",
+  "inland",
+  "inlays",
+  "inlets",
+  "inmate",
+  "innate",
+  "inning",
+  "inputs",
+  "insane",
+  "insect",
+  "insert",
+  "inside",
+  "insist",
+  "instep",
+  "insult",
+  "insure",
+  "intact",
+  "intake",
+  "intend",
+  "intent",
+  "intern",
+  "inters",
+  "invade",
+  "invent",
+  "invert",
+  "invest",
+  "invite",
+  "invoke",
+  "inward",
+  "iodine",
+  "irises",
+  "irking",
+  "ironed",
+  "ironic",
+  "island",
+  "issued",
+  "issues",
+  "italic",
+  "itched",
+  "itches",
+  "itself",
+  "jabbed",
+  "jabber",
+  "jackal",
+  "jacked",
+  "jacket",
+  "jading",
+  "jagged",
+  "jaguar",
+  "jailed",
+  "jailer",
+  "jalopy",
+  "jammed",
+  "jangle",
+  "jargon",
+  "jarred",
+  "jaunts",
+  "jaunty",
+  "jawing",
+  "jazzed",
+  "jazzes",
+  "jeered",
+  "jelled",
+  "jerked",
+  "jersey",
+  "jested",
+  "jester",
+  "jetted",
+  "jewels",
+  "jibing",
+  "jigged",
+  "jiggle",
+  "jigsaw",
+  "jilted",
+  "jingle",
+  "jinxed",
+  "jinxes",
+  "jobbed",
+  "jockey",
+  "jogged",
+  "jogger",
+  "joined",
+  "joints",
+  "jokers",
+  "joking",
+  "jolted",
+  "jostle",
+  "jotted",
+  "jovial",
+  "joyful",
+  "joying",
+  "joyous",
+  "judged",
+  "judges",
+  "jugged",
+  "juggle",
+  "juiced",
+  "juices",
+  "jumble",
+  "jumbos",
+  "jumped",
+  "jumper",
+  "jungle",
+  "junior",
+  "junked",
+  "junket",
+  "junkie",
+  "juntas",
+  "juries",
+  "jurors",
+  "juster",
+  "justly",
+  "jutted",
+  "karate",
+  "karats",
+  "kayaks",
+  "keeled",
+  "keened",
+  "keener",
+  "keenly",
+  "keeper",
+  "kennel",
+  "kernel",
+  "kettle",
+  "keying",
+  "khakis",
+  "kicked",
+  "kidded",
+  "kidnap",
+  "kidney",
+  "killed",
+  "killer",
+  "kilned",
+  "kimono",
+  "kinder",
+  "kindle",
+  "kindly",
+  "kinked",
+  "kiosks",
+  "kipper",
+  "kissed",
+  "kisses",
+  "kiting",
+  "kitten",
+  "knacks",
+  "kneads",
+  "kneels",
+  "knifed",
+  "knifes",
+  "knight",
+  "knives",
+  "knocks",
+  "knolls",
+  "knotty",
+  "koalas",
+  "kosher",
+  "kowtow",
+  "labels",
+  "labors",
+  "lacier",
+  "lacing",
+  "lacked",
+  "ladder",
+  "ladies",
+  "lading",
+  "ladled",
+  "ladles",
+  "lagged",
+  "lagoon",
+  "lambda",
+  "lambed",
+  "lament",
+  "lamest",
+  "laming",
+  "lanced",
+  "lances",
+  "landed",
+  "lander",
+  "lapels",
+  "lapped",
+  "lapsed",
+  "lapses",
+  "larded",
+  "larger",
+  "larges",
+  "larked",
+  "larvae",
+  "larynx",
+  "lasers",
+  "lashed",
+  "lashes",
+  "lasses",
+  "lasted",
+  "lastly",
+  "lately",
+  "latent",
+  "latest",
+  "lathed",
+  "lather",
+  "lathes",
+  "latter",
+  "lauded",
+  "laughs",
+  "launch",
+  "laurel",
+  "lavish",
+  "lawful",
+  "lawyer",
+  "laxest",
+  "laxity",
+  "layers",
+  "laying",
+  "layman",
+  "laymen",
+  "layout",
+  "lazied",
+  "lazier",
+  "lazies",
+  "leaded",
+  "leaden",
+  "leader",
+  "leafed",
+  "league",
+  "leaked",
+  "leaned",
+  "leaner",
+  "leaped",
+  "learns",
+  "leased",
+  "leases",
+  "leaved",
+  "leaves",
+  "ledger",
+  "ledges",
+  "leered",
+  "leeway",
+  "lefter",
+  "legacy",
+  "legals",
+  "legend",
+  "legged",
+  "legion",
+  "legume",
+  "lemons",
+  "length",
+  "lenses",
+  "lentil",
+  "lepers",
+  "lesion",
+  "lessen",
+  "lesser",
+  "lesson",
+  "lethal",
+  "letter",
+  "letups",
+  "levees",
+  "levels",
+  "levers",
+  "levied",
+  "levies",
+  "levity",
+  "lewder",
+  "liable",
+  "libels",
+  "lichen",
+  "licked",
+  "lifted",
+  "lights",
+  "likely",
+  "likens",
+  "likest",
+  "liking",
+  "lilacs",
+  "lilies",
+  "lilted",
+  "limber",
+  "liming",
+  "limits",
+  "limped",
+  "limper",
+  "linear",
+  "liners",
+  "linger",
+  "lining",
+  "linked",
+  "linker",
+  "liquid",
+  "liquor",
+  "lisped",
+  "listed",
+  "listen",
+  "litany",
+  "liters",
+  "lither",
+  "litter",
+  "little",
+  "lively",
+  "livens",
+  "livers",
+  "livest",
+  "living",
+  "lizard",
+  "llamas",
+  "loaded",
+  "loader",
+  "loafed",
+  "loafer",
+  "loaned",
+  "loathe",
+  "loaves",
+  "lobbed",
+  "locale",
+  "locals",
+  "locate",
+  "locked",
+  "locker",
+  "locket",
+  "locust",
+  "lodged",
+  "lodger",
+  "lodges",
+  "lofted",
+  "logged",
+  "logger",
+  "loiter",
+  "lolled",
+  "lonely",
+  "longed",
+  "longer",
+  "looked",
+  "loomed",
+  "loonie",
+  "looped",
+  "loosed",
+  "loosen",
+  "looser",
+  "looses",
+  "looted",
+  "loping",
+  "lopped",
+  "lorded",
+  "losers",
+  "losing",
+  "losses",
+  "lotion",
+  "louder",
+  "loudly",
+  "lounge",
+  "louses",
+  "lovely",
+  "lovers",
+  "loving",
+  "lowers",
+  "lowest",
+  "lowing",
+  "lucked",
+  "lugged",
+  "lulled",
+  "lumber",
+  "lumped",
+  "lunacy",
+  "lunged",
+  "lunges",
+  "lupine",
+  "luring",
+  "lurked",
+  "lusher",
+  "lushes",
+  "lusted",
+  "luster",
+  "luxury",
+  "lyrics",
+  "macing",
+  "madame",
+  "madams",
+  "madcap",
+  "madden",
+  "madder",
+  "madman",
+  "madmen",
+  "maggot",
+  "magnet",
+  "magnum",
+  "magpie",
+  "maiden",
+  "mailed",
+  "maimed",
+  "mainly",
+  "maizes",
+  "majors",
+  "makers",
+  "makeup",
+  "making",
+  "malady",
+  "malice",
+  "malign",
+  "mallet",
+  "malted",
+  "mammal",
+  "manage",
+  "manger",
+  "mangle",
+  "maniac",
+  "manias",
+  "manned",
+  "manner",
+  "manors",
+  "mantel",
+  "mantle",
+  "manual",
+  "manure",
+  "maples",
+  "mapped",
+  "mapper",
+  "marble",
+  "margin",
+  "marina",
+  "marine",
+  "marked",
+  "marker",
+  "market",
+  "maroon",
+  "marred",
+  "marrow",
+  "marshy",
+  "martin",
+  "martyr",
+  "marvel",
+  "mascot",
+  "mashed",
+  "mashes",
+  "masked",
+  "masons",
+  "massed",
+  "masses",
+  "master",
+  "mating",
+  "matrix",
+  "matron",
+  "matted",
+  "matter",
+  "mattes",
+  "mature",
+  "mauled",
+  "maxima",
+  "maxims",
+  "maybes",
+  "mayhem",
+  "mayors",
+  "meadow",
+  "meager",
+  "meaner",
+  "measly",
+  "medals",
+  "meddle",
+  "median",
+  "medias",
+  "medium",
+  "medley",
+  "meeker",
+  "meekly",
+  "mellow",
+  "melody",
+  "melons",
+  "melted",
+  "member",
+  "memoir",
+  "memory",
+  "menace",
+  "mended",
+  "menial",
+  "mental",
+  "mentor",
+  "meowed",
+  "merely",
+  "merest",
+  "merged",
+  "merger",
+  "merges",
+  "merits",
+  "meshed",
+  "meshes",
+  "messed",
+  "messes",
+  "metals",
+  "meteor",
+  "meters",
+  "method",
+  "meting",
+  "metric",
+  "metros",
+  "mettle",
+  "mewing",
+  "midday",
+  "middle",
+  "midget",
+  "midway",
+  "mighty",
+  "miking",
+  "milder",
+  "mildew",
+  "mildly",
+  "milked",
+  "milker",
+  "milled",
+  "miller",
+  "mimics",
+  "miming",
+  "minced",
+  "minces",
+  "minded",
+  "miners",
+  "mingle",
+  "mining",
+  "minion",
+  "minnow",
+  "minors",
+  "minted",
+  "minuet",
+  "minute",
+  "mirage",
+  "miring",
+  "mirror",
+  "misers",
+  "misery",
+  "misfit",
+  "mishap",
+  "mislay",
+  "misled",
+  "missed",
+  "misses",
+  "misted",
+  "misuse",
+  "mitten",
+  "mixers",
+  "mixing",
+  "moaned",
+  "mobbed",
+  "mobile",
+  "mocked",
+  "models",
+  "modern",
+  "modest",
+  "modify",
+  "module",
+  "mohair",
+  "molars",
+  "molded",
+  "molest",
+  "molted",
+  "molten",
+  "moment",
+  "monies",
+  "monkey",
+  "months",
+  "mooing",
+  "mooned",
+  "moored",
+  "mooted",
+  "moping",
+  "mopped",
+  "morale",
+  "morals",
+  "morass",
+  "morbid",
+  "morgue",
+  "morons",
+  "morose",
+  "morsel",
+  "mortal",
+  "mortar",
+  "mosaic",
+  "mosque",
+  "mosses",
+  "mostly",
+  "motels",
+  "mother",
+  "motifs",
+  "motion",
+  "motive",
+  "motley",
+  "motors",
+  "mounds",
+  "mounts",
+  "mourns",
+  "moused",
+  "mouses",
+  "mousse",
+  "mouths",
+  "movers",
+  "movies",
+  "moving",
+  "mowers",
+  "mowing",
+  "mucked",
+  "mucous",
+  "muddle",
+  "muffed",
+  "muffin",
+  "muffle",
+  "mugged",
+  "mugger",
+  "mulled",
+  "mumble",
+  "murals",
+  "murder",
+  "murmur",
+  "muscle",
+  "museum",
+  "mushed",
+  "mushes",
+  "musing",
+  "musket",
+  "mussed",
+  "mussel",
+  "musses",
+  "muster",
+  "mutant",
+  "mutate",
+  "mutely",
+  "mutest",
+  "muting",
+  "mutiny",
+  "mutter",
+  "mutton",
+  "mutual",
+  "muzzle",
+  "myopic",
+  "myriad",
+  "myself",
+  "mystic",
+  "nabbed",
+  "nagged",
+  "nailed",
+  "naiver",
+  "namely",
+  "naming",
+  "napalm",
+  "napkin",
+  "napped",
+  "narrow",
+  "nasals",
+  "nation",
+  "native",
+  "nature",
+  "naught",
+  "nausea",
+  "navels",
+  "navies",
+  "nearby",
+  "neared",
+  "nearer",
+  "nearly",
+  "neater",
+  "neatly",
+  "nebula",
+  "necked",
+  "nectar",
+  "needed",
+  "needle",
+  "negate",
+  "neighs",
+  "nephew",
+  "nerved",
+  "nerves",
+  "nested",
+  "nestle",
+  "nether",
+  "netted",
+  "nettle",
+  "neural",
+  "neuron",
+  "neuter",
+  "newbie",
+  "newest",
+  "newton",
+  "nibble",
+  "nicely",
+  "nicest",
+  "nicety",
+  "niches",
+  "nicked",
+  "nickel",
+  "nieces",
+  "nights",
+  "nimble",
+  "nimbly",
+  "ninety",
+  "ninths",
+  "nipped",
+  "nipple",
+  "nitwit",
+  "nobler",
+  "nobles",
+  "nobody",
+  "nodded",
+  "noised",
+  "noises",
+  "nomads",
+  "noodle",
+  "nooses",
+  "normal",
+  "nosier",
+  "nosing",
+  "notice",
+  "notify",
+  "noting",
+  "notion",
+  "nougat",
+  "novels",
+  "novice",
+  "nozzle",
+  "nuance",
+  "nuclei",
+  "nudest",
+  "nudged",
+  "nudges",
+  "nudity",
+  "nugget",
+  "numbed",
+  "number",
+  "nursed",
+  "nurses",
+  "nutmeg",
+  "nutted",
+  "nuzzle",
+  "nymphs",
+  "oaring",
+  "obeyed",
+  "object",
+  "oblige",
+  "oblong",
+  "obsess",
+  "obtain",
+  "obtuse",
+  "occupy",
+  "occurs",
+  "oceans",
+  "octave",
+  "ocular",
+  "oddest",
+  "oddity",
+  "odious",
+  "offend",
+  "offers",
+  "office",
+  "offing",
+  "offset",
+  "ogling",
+  "oilier",
+  "oiling",
+  "oldest",
+  "olives",
+  "omelet",
+  "onions",
+  "onrush",
+  "onsets",
+  "onuses",
+  "onward",
+  "oodles",
+  "oozing",
+  "opaque",
+  "opened",
+  "opener",
+  "openly",
+  "operas",
+  "oppose",
+  "optics",
+  "optima",
+  "opting",
+  "option",
+  "opuses",
+  "oracle",
+  "orange",
+  "orator",
+  "orbits",
+  "orchid",
+  "ordain",
+  "ordeal",
+  "orders",
+  "organs",
+  "orgasm",
+  "orgies",
+  "orient",
+  "origin",
+  "ornate",
+  "orphan",
+  "others",
+  "otters",
+  "ounces",
+  "ousted",
+  "ouster",
+  "outcry",
+  "outdid",
+  "outfit",
+  "outing",
+  "outlaw",
+  "outlay",
+  "outlet",
+  "output",
+  "outran",
+  "outrun",
+  "outset",
+  "outwit",
+  "overdo",
+  "overly",
+  "owners",
+  "owning",
+  "oxides",
+  "oxygen",
+  "oyster",
+  "pacify",
+  "pacing",
+  "packed",
+  "packer",
+  "packet",
+  "padded",
+  "paddle",
+  "pagans",
+  "paging",
+  "pagoda",
+  "pained",
+  "paints",
+  "paired",
+  "palace",
+  "palate",
+  "palest",
+  "paling",
+  "palled",
+  "pallid",
+  "pallor",
+  "palmed",
+  "paltry",
+  "pamper",
+  "pandas",
+  "pander",
+  "panels",
+  "panics",
+  "panned",
+  "panted",
+  "pantie",
+  "pantry",
+  "papacy",
+  "papaya",
+  "papers",
+  "papyri",
+  "parade",
+  "parcel",
+  "pardon",
+  "parent",
+  "paring",
+  "parish",
+  "parity",
+  "parkas",
+  "parked",
+  "parlor",
+  "parody",
+  "parole",
+  "parred",
+  "parrot",
+  "parsec",
+  "parsed",
+  "parser",
+  "parses",
+  "parson",
+  "parted",
+  "partly",
+  "passed",
+  "passer",
+  "passes",
+  "pastas",
+  "pasted",
+  "pastel",
+  "pastes",
+  "pastor",
+  "pastry",
+  "patchy",
+  "patent",
+  "pathos",
+  "patios",
+  "patrol",
+  "patron",
+  "patted",
+  "patter",
+  "paunch",
+  "pauper",
+  "paused",
+  "pauses",
+  "paving",
+  "pawing",
+  "pawned",
+  "payers",
+  "paying",
+  "payoff",
+  "peaces",
+  "peaked",
+  "pealed",
+  "peanut",
+  "pearls",
+  "pebble",
+  "pecans",
+  "pecked",
+  "pedals",
+  "pedant",
+  "peddle",
+  "peeked",
+  "peeled",
+  "peeped",
+  "peered",
+  "peeved",
+  "peeves",
+  "pegged",
+  "pellet",
+  "pelted",
+  "pelvic",
+  "pelvis",
+  "pencil",
+  "pended",
+  "penned",
+  "people",
+  "pepped",
+  "pepper",
+  "perils",
+  "period",
+  "perish",
+  "perked",
+  "permit",
+  "person",
+  "perter",
+  "peruse",
+  "pester",
+  "petals",
+  "peters",
+  "petite",
+  "petrol",
+  "petted",
+  "pewter",
+  "phased",
+  "phases",
+  "phlegm",
+  "phobia",
+  "phoned",
+  "phones",
+  "photon",
+  "photos",
+  "phrase",
+  "physic",
+  "pianos",
+  "pickax",
+  "picked",
+  "picket",
+  "pickle",
+  "pickup",
+  "picnic",
+  "piddle",
+  "pieced",
+  "pieces",
+  "pierce",
+  "pigeon",
+  "pigged",
+  "pigpen",
+  "piking",
+  "pilfer",
+  "piling",
+  "pillar",
+  "pilled",
+  "pillow",
+  "pilots",
+  "pimple",
+  "pimply",
+  "pining",
+  "pinion",
+  "pinked",
+  "pinker",
+  "pinned",
+  "piping",
+  "piqued",
+  "piques",
+  "piracy",
+  "pirate",
+  "pistol",
+  "piston",
+  "pitied",
+  "pities",
+  "pitted",
+  "pivots",
+  "pixies",
+  "pizzas",
+  "placed",
+  "places",
+  "placid",
+  "plague",
+  "plaice",
+  "plaids",
+  "plains",
+  "planar",
+  "planed",
+  "planes",
+  "planet",
+  "planks",
+  "plants",
+  "plaque",
+  "plasma",
+  "plated",
+  "plates",
+  "played",
+  "player",
+  "plazas",
+  "pleads",
+  "please",
+  "pleats",
+  "pledge",
+  "plenty",
+  "pliant",
+  "pliers",
+  "plight",
+  "plowed",
+  "plucks",
+  "plucky",
+  "plumbs",
+  "plumed",
+  "plumes",
+  "plumps",
+  "plunge",
+  "plural",
+  "pluses",
+  "plying",
+  "pocket",
+  "podded",
+  "podium",
+  "poetic",
+  "poetry",
+  "points",
+  "poised",
+  "poises",
+  "poison",
+  "pokers",
+  "pokier",
+  "poking",
+  "police",
+  "policy",
+  "poling",
+  "polios",
+  "polish",
+  "polite",
+  "polkas",
+  "polled",
+  "pollen",
+  "polyps",
+  "poncho",
+  "ponder",
+  "ponies",
+  "poodle",
+  "pooled",
+  "pooped",
+  "poorer",
+  "poorly",
+  "poplar",
+  "popped",
+  "poring",
+  "porous",
+  "portal",
+  "ported",
+  "porter",
+  "portly",
+  "posies",
+  "posing",
+  "possum",
+  "postal",
+  "posted",
+  "poster",
+  "potato",
+  "potent",
+  "potion",
+  "potted",
+  "potter",
+  "pounce",
+  "pounds",
+  "poured",
+  "pouted",
+  "powder",
+  "powers",
+  "powwow",
+  "praise",
+  "prance",
+  "pranks",
+  "prawns",
+  "prayed",
+  "prayer",
+  "preach",
+  "preens",
+  "prefab",
+  "prefer",
+  "prefix",
+  "prepay",
+  "presto",
+  "pretty",
+  "preyed",
+  "priced",
+  "prices",
+  "pricks",
+  "prided",
+  "prides",
+  "priest",
+  "primal",
+  "primed",
+  "primer",
+  "primes",
+  "primly",
+  "primps",
+  "prince",
+  "prints",
+  "priors",
+  "prisms",
+  "prison",
+  "prized",
+  "prizes",
+  "probed",
+  "probes",
+  "profit",
+  "prompt",
+  "prongs",
+  "proofs",
+  "propel",
+  "proper",
+  "proton",
+  "proved",
+  "proven",
+  "proves",
+  "prowls",
+  "prudes",
+  "pruned",
+  "prunes",
+  "prying",
+  "psalms",
+  "pseudo",
+  "psyche",
+  "psychs",
+  "public",
+  "pucker",
+  "puddle",
+  "pueblo",
+  "puffed",
+  "puffer",
+  "puking",
+  "pulled",
+  "pulley",
+  "pulped",
+  "pulpit",
+  "pulsed",
+  "pulses",
+  "pumice",
+  "pummel",
+  "pumped",
+  "pundit",
+  "punier",
+  "punish",
+  "punker",
+  "punned",
+  "punted",
+  "punter",
+  "pupils",
+  "pupped",
+  "puppet",
+  "pureed",
+  "purees",
+  "purely",
+  "purest",
+  "purged",
+  "purges",
+  "purify",
+  "purity",
+  "purple",
+  "purred",
+  "pursed",
+  "purses",
+  "pursue",
+  "pushed",
+  "pusher",
+  "pushes",
+  "pusses",
+  "putrid",
+  "putted",
+  "putter",
+  "puzzle",
+  "python",
+  "quacks",
+  "quails",
+  "quaint",
+  "quaked",
+  "quakes",
+  "qualms",
+  "quarry",
+  "quarts",
+  "quartz",
+  "quaver",
+  "queasy",
+  "queens",
+  "queers",
+  "quells",
+  "quench",
+  "quests",
+  "queued",
+  "queues",
+  "quiche",
+  "quiets",
+  "quills",
+  "quilts",
+  "quirks",
+  "quirky",
+  "quiver",
+  "quorum",
+  "quotas",
+  "quoted",
+  "quotes",
+  "rabbis",
+  "rabbit",
+  "rabble",
+  "rabies",
+  "racial",
+  "racier",
+  "racing",
+  "racism",
+  "racist",
+  "racked",
+  "racket",
+  "radars",
+  "radial",
+  "radios",
+  "radish",
+  "radium",
+  "radius",
+  "raffle",
+  "rafted",
+  "rafter",
+  "ragged",
+  "raging",
+  "raided",
+  "raider",
+  "railed",
+  "rained",
+  "raised",
+  "raises",
+  "raisin",
+  "raking",
+  "ramble",
+  "rammed",
+  "ramrod",
+  "rancid",
+  "rancor",
+  "random",
+  "ranged",
+  "ranger",
+  "ranges",
+  "ranked",
+  "ranker",
+  "rankle",
+  "ransom",
+  "ranted",
+  "rapids",
+  "raping",
+  "rapist",
+  "rapped",
+  "rarely",
+  "rarest",
+  "raring",
+  "rarity",
+  "rascal",
+  "rasher",
+  "rashes",
+  "rashly",
+  "rasped",
+  "raster",
+  "rather",
+  "ratify",
+  "rating",
+  "ration",
+  "ratios",
+  "ratted",
+  "rattle",
+  "ravage",
+  "ravels",
+  "ravens",
+  "ravine",
+  "raving",
+  "ravish",
+  "rawest",
+  "razing",
+  "razors",
+  "reacts",
+  "reader",
+  "realer",
+  "really",
+  "realms",
+  "realty",
+  "reamed",
+  "reaped",
+  "reaper",
+  "reared",
+  "reason",
+  "rebate",
+  "rebels",
+  "rebind",
+  "reborn",
+  "rebuff",
+  "rebuke",
+  "rebuts",
+  "recall",
+  "recant",
+  "recaps",
+  "recede",
+  "recent",
+  "recess",
+  "recipe",
+  "recite",
+  "reckon",
+  "recoil",
+  "record",
+  "recoup",
+  "rectal",
+  "rector",
+  "rectum",
+  "recurs",
+  "redden",
+  "redder",
+  "redeem",
+  "redoes",
+  "redone",
+  "redraw",
+  "reduce",
+  "reefed",
+  "reeked",
+  "reeled",
+  "refers",
+  "refill",
+  "refine",
+  "reflex",
+  "reform",
+  "refuel",
+  "refuge",
+  "refund",
+  "refuse",
+  "refute",
+  "regain",
+  "regale",
+  "regard",
+  "regent",
+  "regime",
+  "region",
+  "regret",
+  "rehash",
+  "reigns",
+  "reined",
+  "reject",
+  "rejoin",
+  "relaid",
+  "relate",
+  "relays",
+  "relent",
+  "relics",
+  "relied",
+  "relief",
+  "relies",
+  "relish",
+  "relive",
+  "reload",
+  "remade",
+  "remain",
+  "remake",
+  "remark",
+  "remedy",
+  "remind",
+  "remiss",
+  "remits",
+  "remote",
+  "remove",
+  "rename",
+  "render",
+  "renege",
+  "renews",
+  "renown",
+  "rental",
+  "rented",
+  "reopen",
+  "repaid",
+  "repair",
+  "repays",
+  "repeal",
+  "repeat",
+  "repels",
+  "repent",
+  "replay",
+  "report",
+  "repose",
+  "repute",
+  "reread",
+  "resale",
+  "rescue",
+  "resent",
+  "resets",
+  "reside",
+  "resign",
+  "resins",
+  "resist",
+  "resort",
+  "rested",
+  "result",
+  "resume",
+  "retail",
+  "retain",
+  "retard",
+  "retina",
+  "retire",
+  "retort",
+  "return",
+  "retype",
+  "reused",
+  "reuses",
+  "revamp",
+  "reveal",
+  "revels",
+  "revere",
+  "revert",
+  "review",
+  "revile",
+  "revise",
+  "revive",
+  "revoke",
+  "revolt",
+  "revues",
+  "revved",
+  "reward",
+  "rewind",
+  "rework",
+  "rhinos",
+  "rhymed",
+  "rhymes",
+  "rhythm",
+  "ribbed",
+  "ribbon",
+  "richer",
+  "riches",
+  "richly",
+  "ricing",
+  "ridden",
+  "riddle",
+  "riders",
+  "ridged",
+  "ridges",
+  "riding",
+  "rifest",
+  "rifled",
+  "rifles",
+  "rifted",
+  "rigged",
+  "rights",
+  "rigors",
+  "riling",
+  "rimmed",
+  "ringed",
+  "rinsed",
+  "rinses",
+  "rioted",
+  "rioter",
+  "ripens",
+  "ripest",
+  "ripped",
+  "ripple",
+  "risers",
+  "rising",
+  "risked",
+  "ritual",
+  "rivals",
+  "rivers",
+  "rivets",
+  "roamed",
+  "roared",
+  "roasts",
+  "robbed",
+  "robber",
+  "robing",
+  "robins",
+  "robots",
+  "robust",
+  "rocked",
+  "rocker",
+  "rocket",
+  "rodent",
+  "rodeos",
+  "rogues",
+  "rolled",
+  "roller",
+  "romped",
+  "roofed",
+  "rooked",
+  "rookie",
+  "roomed",
+  "roosts",
+  "rooted",
+  "rooter",
+  "roping",
+  "rosary",
+  "rosier",
+  "roster",
+  "rotary",
+  "rotate",
+  "rotors",
+  "rotted",
+  "rotten",
+  "rotund",
+  "rouged",
+  "rouges",
+  "roughs",
+  "rounds",
+  "roused",
+  "rouses",
+  "routed",
+  "router",
+  "routes",
+  "rowing",
+  "royals",
+  "rubbed",
+  "rubber",
+  "rubble",
+  "rubier",
+  "rubies",
+  "rubric",
+  "ruckus",
+  "rudder",
+  "rudely",
+  "rudest",
+  "rueful",
+  "ruffed",
+  "ruffle",
+  "rugged",
+  "ruined",
+  "rulers",
+  "ruling",
+  "rumble",
+  "rummer",
+  "rumors",
+  "rumple",
+  "runner",
+  "runway",
+  "rushed",
+  "rushes",
+  "rusted",
+  "rustic",
+  "rustle",
+  "rutted",
+  "sabers",
+  "sacked",
+  "sacred",
+  "sadden",
+  "sadder",
+  "saddle",
+  "sadism",
+  "sadist",
+  "safari",
+  "safely",
+  "safest",
+  "safety",
+  "sagest",
+  "sagged",
+  "sailed",
+  "sailor",
+  "saints",
+  "salads",
+  "salami",
+  "salary",
+  "saliva",
+  "sallow",
+  "salmon",
+  "salons",
+  "saloon",
+  "salted",
+  "salter",
+  "salute",
+  "salved",
+  "salves",
+  "sample",
+  "sandal",
+  "sanded",
+  "sanest",
+  "sanity",
+  "sapped",
+  "sashes",
+  "satire",
+  "sauced",
+  "saucer",
+  "sauces",
+  "saunas",
+  "savage",
+  "saving",
+  "savior",
+  "savors",
+  "savory",
+  "sawing",
+  "saying",
+  "scalar",
+  "scalds",
+  "scaled",
+  "scales",
+  "scalps",
+  "scants",
+  "scanty",
+  "scarce",
+  "scared",
+  "scares",
+  "scarfs",
+  "scenes",
+  "scenic",
+  "scents",
+  "scheme",
+  "school",
+  "scoffs",
+  "scolds",
+  "scoops",
+  "scoots",
+  "scoped",
+  "scopes",
+  "scorch",
+  "scored",
+  "scorer",
+  "scores",
+  "scorns",
+  "scotch",
+  "scours",
+  "scouts",
+  "scowls",
+  "scrams",
+  "scrape",
+  "scraps",
+  "scrawl",
+  "scream",
+  "screen",
+  "screws",
+  "screwy",
+  "scribe",
+  "script",
+  "scroll",
+  "scrubs",
+  "scruff",
+  "scuffs",
+  "scurry",
+  "scythe",
+  "sealed",
+  "seaman",
+  "seamed",
+  "seamen",
+  "search",
+  "seared",
+  "season",
+  "seated",
+  "secede",
+  "second",
+  "secret",
+  "sector",
+  "secure",
+  "sedans",
+  "sedate",
+  "seduce",
+  "seeded",
+  "seeing",
+  "seemed",
+  "seeped",
+  "seesaw",
+  "seethe",
+  "seized",
+  "seizes",
+  "seldom",
+  "select",
+  "seller",
+  "selves",
+  "senate",
+  "sender",
+  "senile",
+  "senior",
+  "sensed",
+  "senses",
+  "sensor",
+  "sentry",
+  "sequel",
+  "sequin",
+  "serene",
+  "serial",
+  "series",
+  "sermon",
+  "serums",
+  "served",
+  "server",
+  "serves",
+  "setter",
+  "settle",
+  "sevens",
+  "severe",
+  "severs",
+  "sewage",
+  "sewers",
+  "sewing",
+  "sexing",
+  "sexism",
+  "sexist",
+  "sexual",
+  "shabby",
+  "shacks",
+  "shaded",
+  "shades",
+  "shadow",
+  "shafts",
+  "shaggy",
+  "shaken",
+  "shakes",
+  "shamed",
+  "shames",
+  "shanty",
+  "shaped",
+  "shapes",
+  "shared",
+  "shares",
+  "sharks",
+  "sharps",
+  "shaved",
+  "shaven",
+  "shaver",
+  "shaves",
+  "shawls",
+  "shears",
+  "sheath",
+  "sheave",
+  "sheers",
+  "sheets",
+  "sheikh",
+  "shells",
+  "shelve",
+  "sherry",
+  "shield",
+  "shifts",
+  "shifty",
+  "shined",
+  "shines",
+  "shirks",
+  "shirts",
+  "shiver",
+  "shoals",
+  "shocks",
+  "shoddy",
+  "shooed",
+  "shoots",
+  "shored",
+  "shores",
+  "shorts",
+  "should",
+  "shouts",
+  "shoved",
+  "shovel",
+  "shoves",
+  "showed",
+  "shower",
+  "shrank",
+  "shreds",
+  "shrewd",
+  "shrews",
+  "shriek",
+  "shrill",
+  "shrimp",
+  "shrine",
+  "shrink",
+  "shroud",
+  "shrubs",
+  "shrugs",
+  "shrunk",
+  "shucks",
+  "shunts",
+  "shyest",
+  "shying",
+  "sicked",
+  "sicken",
+  "sicker",
+  "sickle",
+  "sickly",
+  "siding",
+  "sidled",
+  "sidles",
+  "sieges",
+  "sierra",
+  "siesta",
+  "sieved",
+  "sieves",
+  "sifted",
+  "sighed",
+  "sights",
+  "signal",
+  "signed",
+  "signer",
+  "silent",
+  "silken",
+  "silted",
+  "silver",
+  "simile",
+  "simmer",
+  "simple",
+  "simply",
+  "sinews",
+  "sinewy",
+  "sinful",
+  "singed",
+  "singer",
+  "singes",
+  "single",
+  "singly",
+  "sinned",
+  "sinner",
+  "siphon",
+  "sipped",
+  "sirens",
+  "siring",
+  "sister",
+  "siting",
+  "sitter",
+  "sixths",
+  "sizing",
+  "sizzle",
+  "skated",
+  "skater",
+  "skates",
+  "skeins",
+  "sketch",
+  "skewed",
+  "skewer",
+  "skiing",
+  "skills",
+  "skimps",
+  "skimpy",
+  "skinny",
+  "skirts",
+  "skulks",
+  "skulls",
+  "skunks",
+  "skying",
+  "slacks",
+  "slaked",
+  "slakes",
+  "slants",
+  "slated",
+  "slates",
+  "slaved",
+  "slaves",
+  "sleazy",
+  "sleeks",
+  "sleeps",
+  "sleepy",
+  "sleets",
+  "sleeve",
+  "sleigh",
+  "slewed",
+  "sliced",
+  "slices",
+  "slicks",
+  "slides",
+  "sliest",
+  "slight",
+  "slings",
+  "slinks",
+  "sliver",
+  "slogan",
+  "sloped",
+  "slopes",
+  "sloppy",
+  "sloths",
+  "slouch",
+  "slowed",
+  "slower",
+  "slowly",
+  "sludge",
+  "sluice",
+  "slumps",
+  "smacks",
+  "smalls",
+  "smarts",
+  "smears",
+  "smells",
+  "smelly",
+  "smelts",
+  "smiled",
+  "smiles",
+  "smirks",
+  "smites",
+  "smiths",
+  "smocks",
+  "smoked",
+  "smoker",
+  "smokes",
+  "smooth",
+  "smudge",
+  "smugly",
+  "snacks",
+  "snails",
+  "snaked",
+  "snakes",
+  "snappy",
+  "snared",
+  "snares",
+  "snarls",
+  "snatch",
+  "sneaks",
+  "sneaky",
+  "sneers",
+  "sneeze",
+  "snider",
+  "sniffs",
+  "sniped",
+  "sniper",
+  "snipes",
+  "snitch",
+  "snoops",
+  "snooty",
+  "snooze",
+  "snored",
+  "snores",
+  "snorts",
+  "snouts",
+  "snowed",
+  "snuffs",
+  "snugly",
+  "soaked",
+  "soaped",
+  "soared",
+  "sobbed",
+  "sobers",
+  "soccer",
+  "social",
+  "socked",
+  "socket",
+  "sodded",
+  "sodden",
+  "sodium",
+  "sodomy",
+  "soften",
+  "softer",
+  "softly",
+  "soiled",
+  "solace",
+  "solder",
+  "solely",
+  "solemn",
+  "solids",
+  "soling",
+  "soloed",
+  "solved",
+  "solves",
+  "somber",
+  "sonata",
+  "sonnet",
+  "sooner",
+  "soothe",
+  "sopped",
+  "sordid",
+  "sorely",
+  "sorest",
+  "sorrow",
+  "sorted",
+  "sought",
+  "sounds",
+  "souped",
+  "source",
+  "soured",
+  "sourer",
+  "sowing",
+  "spaced",
+  "spaces",
+  "spaded",
+  "spades",
+  "spanks",
+  "spared",
+  "sparer",
+  "spares",
+  "sparks",
+  "sparse",
+  "spasms",
+  "spawns",
+  "spayed",
+  "speaks",
+  "spears",
+  "specks",
+  "speech",
+  "speeds",
+  "speedy",
+  "spells",
+  "spends",
+  "sperms",
+  "spewed",
+  "sphere",
+  "sphinx",
+  "spiced",
+  "spices",
+  "spider",
+  "spigot",
+  "spiked",
+  "spikes",
+  "spills",
+  "spinal",
+  "spines",
+  "spiral",
+  "spires",
+  "spirit",
+  "spited",
+  "spites",
+  "splash",
+  "spleen",
+  "splice",
+  "splint",
+  "splits",
+  "spoils",
+  "spoken",
+  "spokes",
+  "sponge",
+  "spongy",
+  "spoofs",
+  "spooks",
+  "spooky",
+  "spools",
+  "spoons",
+  "spores",
+  "sports",
+  "spotty",
+  "spouse",
+  "spouts",
+  "sprain",
+  "sprang",
+  "sprawl",
+  "sprays",
+  "spread",
+  "spreed",
+  "sprees",
+  "sprier",
+  "sprigs",
+  "spring",
+  "sprint",
+  "sprout",
+  "spruce",
+  "sprung",
+  "spurns",
+  "spurts",
+  "spying",
+  "squads",
+  "squall",
+  "square",
+  "squash",
+  "squats",
+  "squawk",
+  "squeak",
+  "squeal",
+  "squids",
+  "squint",
+  "squire",
+  "squirm",
+  "squirt",
+  "stable",
+  "stacks",
+  "staffs",
+  "staged",
+  "stages",
+  "stains",
+  "stairs",
+  "staked",
+  "stakes",
+  "staled",
+  "staler",
+  "stales",
+  "stalks",
+  "stalls",
+  "stamps",
+  "stance",
+  "stanch",
+  "stands",
+  "stanza",
+  "staple",
+  "starch",
+  "stared",
+  "stares",
+  "starry",
+  "starts",
+  "starve",
+  "stated",
+  "stater",
+  "states",
+  "static",
+  "statue",
+  "status",
+  "staved",
+  "staves",
+  "stayed",
+  "steady",
+  "steaks",
+  "steals",
+  "steams",
+  "steamy",
+  "steels",
+  "steeps",
+  "steers",
+  "stench",
+  "stereo",
+  "sterns",
+  "stewed",
+  "sticks",
+  "sticky",
+  "stiffs",
+  "stifle",
+  "stigma",
+  "stills",
+  "stings",
+  "stingy",
+  "stinks",
+  "stints",
+  "stitch",
+  "stocks",
+  "stocky",
+  "stodgy",
+  "stoked",
+  "stokes",
+  "stolen",
+  "stoles",
+  "stolid",
+  "stomps",
+  "stoned",
+  "stones",
+  "stools",
+  "stoops",
+  "stored",
+  "stores",
+  "storks",
+  "storms",
+  "stormy",
+  "stoves",
+  "stowed",
+  "strain",
+  "strait",
+  "strand",
+  "straps",
+  "strata",
+  "straws",
+  "strays",
+  "streak",
+  "stream",
+  "street",
+  "stress",
+  "strewn",
+  "strews",
+  "strict",
+  "stride",
+  "strife",
+  "strike",
+  "string",
+  "stripe",
+  "strips",
+  "strive",
+  "strode",
+  "stroke",
+  "stroll",
+  "strong",
+  "strove",
+  "struck",
+  "strums",
+  "strung",
+  "struts",
+  "stubby",
+  "studio",
+  "stuffs",
+  "stuffy",
+  "stumps",
+  "stunts",
+  "stupid",
+  "stupor",
+  "sturdy",
+  "styled",
+  "styles",
+  "stylus",
+  "suaver",
+  "subbed",
+  "subdue",
+  "sublet",
+  "submit",
+  "subset",
+  "subtle",
+  "subtly",
+  "suburb",
+  "subway",
+  "succor",
+  "sucked",
+  "sucker",
+  "suckle",
+  "sudden",
+  "suffer",
+  "suffix",
+  "sugars",
+  "sugary",
+  "suited",
+  "suites",
+  "suitor",
+  "sulfur",
+  "sulked",
+  "sullen",
+  "sultan",
+  "sultry",
+  "summed",
+  "summer",
+  "summit",
+  "summon",
+  "sundae",
+  "sundry",
+  "sunken",
+  "sunlit",
+  "sunned",
+  "sunset",
+  "suntan",
+  "superb",
+  "supers",
+  "supper",
+  "supple",
+  "supply",
+  "surely",
+  "surest",
+  "surfed",
+  "surged",
+  "surges",
+  "survey",
+  "swamps",
+  "swampy",
+  "swarms",
+  "swathe",
+  "swayed",
+  "swears",
+  "sweats",
+  "sweaty",
+  "sweeps",
+  "sweets",
+  "swells",
+  "swerve",
+  "swifts",
+  "swills",
+  "swines",
+  "swings",
+  "swiped",
+  "swipes",
+  "swirls",
+  "switch",
+  "swivel",
+  "swoons",
+  "swoops",
+  "swords",
+  "symbol",
+  "syntax",
+  "syrups",
+  "system",
+  "tabbed",
+  "tabled",
+  "tables",
+  "tablet",
+  "taboos",
+  "tacked",
+  "tackle",
+  "tactic",
+  "tagged",
+  "tailed",
+  "tailor",
+  "taints",
+  "takers",
+  "taking",
+  "talent",
+  "talked",
+  "talker",
+  "taller",
+  "tallow",
+  "talons",
+  "tamely",
+  "tamest",
+  "taming",
+  "tamper",
+  "tandem",
+  "tangle",
+  "tangos",
+  "tanked",
+  "tanker",
+  "tanned",
+  "tanner",
+  "tapers",
+  "taping",
+  "tapped",
+  "target",
+  "tariff",
+  "tarred",
+  "tartan",
+  "tartar",
+  "tarter",
+  "tasked",
+  "tassel",
+  "tasted",
+  "tastes",
+  "tattle",
+  "tattoo",
+  "taught",
+  "taunts",
+  "tauter",
+  "tavern",
+  "tawdry",
+  "taxied",
+  "taxing",
+  "teacup",
+  "teamed",
+  "teapot",
+  "teared",
+  "teased",
+  "teases",
+  "tedium",
+  "teeing",
+  "teemed",
+  "teeter",
+  "teethe",
+  "teller",
+  "temper",
+  "temple",
+  "tempos",
+  "tempts",
+  "tenant",
+  "tended",
+  "tender",
+  "tendon",
+  "tenets",
+  "tennis",
+  "tenors",
+  "tensed",
+  "tenser",
+  "tenses",
+  "tented",
+  "tenths",
+  "tenure",
+  "tepees",
+  "termed",
+  "termly",
+  "terror",
+  "terser",
+  "tested",
+  "tester",
+  "testes",
+  "testis",
+  "tether",
+  "thanks",
+  "thatch",
+  "thawed",
+  "thefts",
+  "theirs",
+  "theist",
+  "themes",
+  "thence",
+  "theory",
+  "theses",
+  "thesis",
+  "thieve",
+  "thighs",
+  "things",
+  "thinks",
+  "thinly",
+  "thirds",
+  "thirst",
+  "thirty",
+  "thongs",
+  "thorns",
+  "thorny",
+  "though",
+  "thrash",
+  "thread",
+  "threat",
+  "threes",
+  "thresh",
+  "thrice",
+  "thrift",
+  "thrill",
+  "thrive",
+  "throat",
+  "throbs",
+  "throne",
+  "throng",
+  "thrown",
+  "throws",
+  "thrust",
+  "thumbs",
+  "thumps",
+  "thwart",
+  "tiaras",
+  "ticked",
+  "ticket",
+  "tickle",
+  "tidbit",
+  "tidied",
+  "tidier",
+  "tidies",
+  "tiding",
+  "tiffed",
+  "tigers",
+  "tights",
+  "tiling",
+  "tilled",
+  "tilted",
+  "timber",
+  "timely",
+  "timers",
+  "timing",
+  "tinder",
+  "tinged",
+  "tinges",
+  "tingle",
+  "tinier",
+  "tinker",
+  "tinkle",
+  "tinned",
+  "tinsel",
+  "tinted",
+  "tipped",
+  "tiptoe",
+  "tirade",
+  "tiring",
+  "tissue",
+  "titled",
+  "titles",
+  "titter",
+  "toasts",
+  "toddle",
+  "toeing",
+  "toffee",
+  "toggle",
+  "toiled",
+  "toilet",
+  "tokens",
+  "tolled",
+  "tomato",
+  "tombed",
+  "tomboy",
+  "tomcat",
+  "tongue",
+  "tonics",
+  "toning",
+  "tonnes",
+  "tonsil",
+  "tooled",
+  "tooted",
+  "topics",
+  "topped",
+  "topple",
+  "torque",
+  "torrid",
+  "torsos",
+  "tossed",
+  "tosses",
+  "totals",
+  "totems",
+  "toting",
+  "totted",
+  "totter",
+  "toucan",
+  "touchy",
+  "toughs",
+  "toupee",
+  "toured",
+  "tousle",
+  "touted",
+  "toward",
+  "towels",
+  "towers",
+  "towing",
+  "toxins",
+  "toying",
+  "traced",
+  "traces",
+  "tracks",
+  "tracts",
+  "traded",
+  "trader",
+  "trades",
+  "tragic",
+  "trails",
+  "trains",
+  "traits",
+  "tramps",
+  "trance",
+  "trashy",
+  "trauma",
+  "travel",
+  "trawls",
+  "treads",
+  "treats",
+  "treaty",
+  "treble",
+  "tremor",
+  "trench",
+  "trends",
+  "trendy",
+  "trials",
+  "tribal",
+  "tribes",
+  "tricks",
+  "tricky",
+  "trifle",
+  "trills",
+  "triple",
+  "tripod",
+  "tripos",
+  "triter",
+  "trivia",
+  "trolls",
+  "troops",
+  "trophy",
+  "trough",
+  "troupe",
+  "trouts",
+  "trowel",
+  "truant",
+  "truces",
+  "trucks",
+  "trudge",
+  "truest",
+  "truing",
+  "truism",
+  "trumps",
+  "trunks",
+  "trusts",
+  "trusty",
+  "truths",
+  "trying",
+  "tryout",
+  "tubing",
+  "tucked",
+  "tufted",
+  "tugged",
+  "tulips",
+  "tumble",
+  "tumors",
+  "tumult",
+  "tundra",
+  "tuners",
+  "tunics",
+  "tuning",
+  "tunnel",
+  "turban",
+  "tureen",
+  "turfed",
+  "turgid",
+  "turkey",
+  "turned",
+  "turner",
+  "turnip",
+  "turret",
+  "turtle",
+  "tussle",
+  "tutors",
+  "tuxedo",
+  "twangs",
+  "tweaks",
+  "tweets",
+  "twelve",
+  "twenty",
+  "twined",
+  "twines",
+  "twinge",
+  "twirls",
+  "twists",
+  "twitch",
+  "tycoon",
+  "typhus",
+  "typify",
+  "typing",
+  "typist",
+  "tyrant",
+  "udders",
+  "uglier",
+  "ulcers",
+  "umpire",
+  "unable",
+  "unborn",
+  "uncles",
+  "undoes",
+  "undone",
+  "unduly",
+  "uneasy",
+  "uneven",
+  "unfair",
+  "unfits",
+  "unfold",
+  "unfurl",
+  "unhook",
+  "unions",
+  "unique",
+  "unison",
+  "united",
+  "unites",
+  "unjust",
+  "unkind",
+  "unless",
+  "unlike",
+  "unload",
+  "unlock",
+  "unmans",
+  "unmask",
+  "unpack",
+  "unpaid",
+  "unpick",
+  "unread",
+  "unreal",
+  "unrest",
+  "unruly",
+  "unsafe",
+  "unsaid",
+  "unsays",
+  "unseat",
+  "unseen",
+  "unsung",
+  "unsure",
+  "untidy",
+  "untied",
+  "unties",
+  "untold",
+  "untrue",
+  "unused",
+  "unveil",
+  "unwary",
+  "unwell",
+  "unwind",
+  "unwise",
+  "unwrap",
+  "upbeat",
+  "update",
+  "upends",
+  "upheld",
+  "uphill",
+  "uphold",
+  "upkeep",
+  "uplift",
+  "upload",
+  "uppers",
+  "upping",
+  "uproar",
+  "uproot",
+  "upsets",
+  "upshot",
+  "upside",
+  "uptake",
+  "uptown",
+  "upturn",
+  "upward",
+  "urbane",
+  "urchin",
+  "urgent",
+  "urging",
+  "usable",
+  "usages",
+  "useful",
+  "ushers",
+  "usurps",
+  "uterus",
+  "utmost",
+  "utters",
+  "vacant",
+  "vacate",
+  "vacuum",
+  "vagary",
+  "vagina",
+  "vaguer",
+  "vainer",
+  "valets",
+  "valise",
+  "valley",
+  "valued",
+  "values",
+  "valved",
+  "valves",
+  "vandal",
+  "vanish",
+  "vanity",
+  "vanned",
+  "vapors",
+  "varied",
+  "varies",
+  "vaster",
+  "vastly",
+  "vatted",
+  "vaults",
+  "vector",
+  "veered",
+  "veiled",
+  "veined",
+  "velour",
+  "velvet",
+  "vended",
+  "vendor",
+  "veneer",
+  "vented",
+  "venues",
+  "verbal",
+  "verged",
+  "verges",
+  "verier",
+  "verify",
+  "vermin",
+  "versed",
+  "verses",
+  "versus",
+  "vessel",
+  "vested",
+  "vetoed",
+  "vetoes",
+  "vetted",
+  "vexing",
+  "viable",
+  "vicars",
+  "vicing",
+  "victim",
+  "victor",
+  "videos",
+  "viewed",
+  "viewer",
+  "vigils",
+  "vilest",
+  "vilify",
+  "villas",
+  "vinyls",
+  "violas",
+  "violet",
+  "violin",
+  "vipers",
+  "virgin",
+  "virile",
+  "virtue",
+  "visaed",
+  "vising",
+  "vision",
+  "visits",
+  "visors",
+  "vistas",
+  "visual",
+  "vocals",
+  "vogues",
+  "voiced",
+  "voices",
+  "voided",
+  "volley",
+  "volume",
+  "vomits",
+  "voodoo",
+  "vortex",
+  "voters",
+  "voting",
+  "vowels",
+  "vowing",
+  "voyage",
+  "vulgar",
+  "wadded",
+  "waddle",
+  "wading",
+  "wafers",
+  "waffle",
+  "wafted",
+  "wagers",
+  "wagged",
+  "waging",
+  "wagons",
+  "wailed",
+  "waists",
+  "waited",
+  "waiter",
+  "waived",
+  "waiver",
+  "waives",
+  "wakens",
+  "waking",
+  "walked",
+  "walker",
+  "walled",
+  "wallet",
+  "wallop",
+  "wallow",
+  "walnut",
+  "walrus",
+  "wander",
+  "waning",
+  "wanner",
+  "wanted",
+  "wanton",
+  "warble",
+  "warded",
+  "warden",
+  "warier",
+  "warmed",
+  "warmer",
+  "warmly",
+  "warmth",
+  "warned",
+  "warped",
+  "warred",
+  "warren",
+  "washed",
+  "washer",
+  "washes",
+  "wasted",
+  "wastes",
+  "waters",
+  "watery",
+  "wavers",
+  "wavier",
+  "waving",
+  "waxier",
+  "waxing",
+  "waylay",
+  "weaken",
+  "weaker",
+  "weakly",
+  "wealth",
+  "weaned",
+  "weapon",
+  "weasel",
+  "weaved",
+  "weaver",
+  "weaves",
+  "webbed",
+  "wedded",
+  "wedder",
+  "wedged",
+  "wedges",
+  "weeded",
+  "weeing",
+  "weekly",
+  "weighs",
+  "weight",
+  "weirdo",
+  "welded",
+  "welder",
+  "welled",
+  "welted",
+  "welter",
+  "wetter",
+  "whacks",
+  "whaled",
+  "whaler",
+  "whales",
+  "wheels",
+  "wheeze",
+  "whence",
+  "wheres",
+  "whiffs",
+  "whiled",
+  "whiles",
+  "whilst",
+  "whined",
+  "whines",
+  "whinny",
+  "whirls",
+  "whisks",
+  "whiten",
+  "whiter",
+  "whites",
+  "wholes",
+  "wholly",
+  "whoops",
+  "whores",
+  "wicked",
+  "wicker",
+  "wicket",
+  "widely",
+  "widens",
+  "widest",
+  "widows",
+  "widths",
+  "wields",
+  "wigged",
+  "wiggle",
+  "wigwam",
+  "wilder",
+  "wildly",
+  "wilier",
+  "willed",
+  "willow",
+  "wilted",
+  "winced",
+  "winces",
+  "winded",
+  "window",
+  "winged",
+  "wining",
+  "winked",
+  "winner",
+  "winter",
+  "wintry",
+  "wipers",
+  "wiping",
+  "wirier",
+  "wiring",
+  "wisdom",
+  "wisely",
+  "wisest",
+  "wished",
+  "wishes",
+  "wither",
+  "within",
+  "wizard",
+  "wobble",
+  "wobbly",
+  "wolfed",
+  "wolves",
+  "wombat",
+  "wonder",
+  "wooded",
+  "wooden",
+  "woofed",
+  "wooing",
+  "woolen",
+  "woolly",
+  "worded",
+  "worked",
+  "worker",
+  "worlds",
+  "wormed",
+  "worsen",
+  "worsts",
+  "worthy",
+  "woulds",
+  "wounds",
+  "wowing",
+  "wreaks",
+  "wreath",
+  "wrecks",
+  "wrench",
+  "wrests",
+  "wretch",
+  "wright",
+  "wrings",
+  "wrists",
+  "writer",
+  "writes",
+  "writhe",
+  "wrongs",
+  "wryest",
+  "yachts",
+  "yakked",
+  "yanked",
+  "yapped",
+  "yawned",
+  "yearly",
+  "yearns",
+  "yeasts",
+  "yelled",
+  "yellow",
+  "yelped",
+  "yessed",
+  "yields",
+  "yodels",
+  "yogurt",
+  "yokels",
+  "yoking",
+  "yonder",
+  "youths",
+  "yowled",
+  "zanier",
+  "zanies",
+  "zebras",
+  "zenith",
+  "zeroed",
+  "zigzag",
+  "zipped",
+  "zipper",
+  "zodiac",
+  "zombie",
+  "zoning",
+  "zoomed"
+];
+
+/**
+ * Other accepted 6-letter guesses
+ * Total: 1732 words
+ */
+export const VALID_GUESSES_LIST = [
+  "abased",
+  "abases",
+  "abbess",
+  "abjure",
+  "abloom",
+  "abrade",
+  "acacia",
+  "acetic",
+  "achier",
+  "acidic",
+  "acidly",
+  "acuity",
+  "adagio",
+  "addend",
+  "adders",
+  "addled",
+  "addles",
+  "adduce",
+  "adieus",
+  "adjure",
+  "adware",
+  "aerate",
+  "aeries",
+  "affray",
+  "afghan",
+  "agates",
+  "ageism",
+  "agings",
+  "agleam",
+  "airily",
+  "airman",
+  "airmen",
+  "airway",
+  "akimbo",
+  "alders",
+  "alohas",
+  "alpaca",
+  "alphas",
+  "alpine",
+  "alumna",
+  "alumni",
+  "amazon",
+  "amigos",
+  "amours",
+  "ampule",
+  "angina",
+  "angora",
+  "animus",
+  "anions",
+  "anklet",
+  "anneal",
+  "anodes",
+  "anther",
+  "aphids",
+  "apiary",
+  "apogee",
+  "archly",
+  "arctic",
+  "argosy",
+  "argots",
+  "argyle",
+  "aright",
+  "armada",
+  "armful",
+  "armlet",
+  "arrant",
+  "arroyo",
+  "artier",
+  "ascots",
+  "ashier",
+  "ashram",
+  "aslant",
+  "aspics",
+  "assays",
+  "assize",
+  "astern",
+  "asters",
+  "astral",
+  "atolls",
+  "atonal",
+  "atrium",
+  "attune",
+  "augers",
+  "aughts",
+  "augurs",
+  "augury",
+  "autism",
+  "avatar",
+  "aviary",
+  "avidly",
+  "aweigh",
+  "baaing",
+  "babels",
+  "backup",
+  "baldly",
+  "baleen",
+  "ballsy",
+  "balsam",
+  "balsas",
+  "bangle",
+  "bantam",
+  "banyan",
+  "baobab",
+  "barfed",
+  "barium",
+  "barker",
+  "barrio",
+  "barrow",
+  "basalt",
+  "basely",
+  "bassos",
+  "bather",
+  "bathos",
+  "batiks",
+  "bating",
+  "batten",
+  "bauble",
+  "bebops",
+  "becalm",
+  "bedeck",
+  "bedpan",
+  "beeped",
+  "befogs",
+  "befoul",
+  "begets",
+  "begone",
+  "behest",
+  "belays",
+  "belles",
+  "benumb",
+  "berate",
+  "beryls",
+  "besoms",
+  "besots",
+  "bestir",
+  "betake",
+  "betide",
+  "betook",
+  "bevels",
+  "bevies",
+  "bewail",
+  "bibles",
+  "biceps",
+  "bidder",
+  "bidets",
+  "biggie",
+  "bights",
+  "bigwig",
+  "bikers",
+  "bilges",
+  "bilked",
+  "billet",
+  "bimbos",
+  "binged",
+  "binges",
+  "bionic",
+  "biopsy",
+  "birdie",
+  "bisque",
+  "bistro",
+  "bitchy",
+  "blazon",
+  "bleeps",
+  "blench",
+  "blintz",
+  "bloats",
+  "blower",
+  "blowup",
+  "blowzy",
+  "bluish",
+  "blurbs",
+  "blurry",
+  "boater",
+  "bobble",
+  "bodega",
+  "bodkin",
+  "bogeys",
+  "bogies",
+  "bolero",
+  "bonbon",
+  "boners",
+  "bonged",
+  "bongos",
+  "bonito",
+  "bonsai",
+  "boobed",
+  "boodle",
+  "boogie",
+  "bookie",
+  "boozed",
+  "boozer",
+  "boozes",
+  "bopped",
+  "borers",
+  "botnet",
+  "bouncy",
+  "bowers",
+  "bowman",
+  "bowmen",
+  "bracts",
+  "bratty",
+  "breech",
+  "brewer",
+  "briers",
+  "brogan",
+  "brogue",
+  "bruins",
+  "brunet",
+  "budgie",
+  "bumble",
+  "bunged",
+  "bunkum",
+  "bunted",
+  "burkas",
+  "busboy",
+  "buster",
+  "butane",
+  "buyout",
+  "bylaws",
+  "byline",
+  "byplay",
+  "byword",
+  "cabals",
+  "cabana",
+  "cachet",
+  "cadged",
+  "cadger",
+  "cadges",
+  "cadres",
+  "caftan",
+  "cagily",
+  "cahoot",
+  "cairns",
+  "caliph",
+  "calved",
+  "camber",
+  "canard",
+  "cancan",
+  "canted",
+  "canton",
+  "cantor",
+  "cantos",
+  "caplet",
+  "capons",
+  "carafe",
+  "carboy",
+  "cardio",
+  "careen",
+  "carets",
+  "caries",
+  "caroms",
+  "carpal",
+  "carpel",
+  "carpus",
+  "carrel",
+  "carver",
+  "casein",
+  "cassia",
+  "castor",
+  "catgut",
+  "cation",
+  "catkin",
+  "caudal",
+  "cavils",
+  "censer",
+  "cerise",
+  "cervix",
+  "cesium",
+  "chaise",
+  "chancy",
+  "chaser",
+  "cheeky",
+  "cheesy",
+  "chewer",
+  "chichi",
+  "chicle",
+  "chinos",
+  "chitin",
+  "chives",
+  "chocks",
+  "choker",
+  "choler",
+  "chomps",
+  "chumps",
+  "churls",
+  "cicada",
+  "cilium",
+  "cirrus",
+  "citron",
+  "civets",
+  "clayey",
+  "clewed",
+  "clingy",
+  "cloche",
+  "clomps",
+  "cloned",
+  "cloyed",
+  "clunks",
+  "clunky",
+  "coccis",
+  "coccus",
+  "coccyx",
+  "cockle",
+  "coddle",
+  "codger",
+  "codify",
+  "coeval",
+  "cohere",
+  "cohort",
+  "coital",
+  "coitus",
+  "combos",
+  "comers",
+  "comity",
+  "conchs",
+  "condos",
+  "confab",
+  "congas",
+  "conics",
+  "conked",
+  "coolie",
+  "cootie",
+  "copses",
+  "copter",
+  "copula",
+  "corona",
+  "cosign",
+  "cosine",
+  "costar",
+  "cotter",
+  "coupes",
+  "covens",
+  "coveys",
+  "cowpox",
+  "cozens",
+  "cranny",
+  "crapes",
+  "crappy",
+  "cravat",
+  "craven",
+  "credos",
+  "creels",
+  "creole",
+  "cricks",
+  "criers",
+  "crimps",
+  "crones",
+  "croupy",
+  "cruddy",
+  "cruets",
+  "crumby",
+  "cubism",
+  "cubist",
+  "cubits",
+  "cudgel",
+  "cumuli",
+  "cupids",
+  "cupola",
+  "curacy",
+  "curate",
+  "curies",
+  "curler",
+  "curlew",
+  "curtly",
+  "cuspid",
+  "cussed",
+  "cusses",
+  "cutely",
+  "cutesy",
+  "cutoff",
+  "cutout",
+  "cutups",
+  "cygnet",
+  "cystic",
+  "dachas",
+  "dactyl",
+  "dadoes",
+  "dafter",
+  "dahlia",
+  "damask",
+  "damply",
+  "damson",
+  "dander",
+  "dandle",
+  "dankly",
+  "dapple",
+  "dative",
+  "dauber",
+  "davits",
+  "daybed",
+  "deafen",
+  "debark",
+  "debars",
+  "decals",
+  "decamp",
+  "decant",
+  "decors",
+  "deejay",
+  "defray",
+  "defuse",
+  "deiced",
+  "deicer",
+  "deices",
+  "demoed",
+  "demurs",
+  "denier",
+  "dentin",
+  "denude",
+  "deploy",
+  "depute",
+  "dermis",
+  "descry",
+  "deuces",
+  "dewier",
+  "dewlap",
+  "dharma",
+  "dhotis",
+  "diadem",
+  "diatom",
+  "dibble",
+  "dicier",
+  "dicker",
+  "dickey",
+  "dictum",
+  "diddle",
+  "dieter",
+  "digger",
+  "dimwit",
+  "dinged",
+  "diodes",
+  "dioxin",
+  "dipole",
+  "dipper",
+  "disbar",
+  "dissed",
+  "divans",
+  "divots",
+  "doable",
+  "docent",
+  "docket",
+  "dodder",
+  "dodger",
+  "doffed",
+  "dogies",
+  "doings",
+  "dollop",
+  "dolmen",
+  "donned",
+  "doodad",
+  "dories",
+  "dormer",
+  "dosage",
+  "dotage",
+  "dotcom",
+  "douche",
+  "doughy",
+  "dourly",
+  "dowels",
+  "downer",
+  "dowsed",
+  "dowses",
+  "doyens",
+  "drably",
+  "drakes",
+  "drolly",
+  "droopy",
+  "dropsy",
+  "drover",
+  "druids",
+  "dryads",
+  "ducats",
+  "duffer",
+  "dulcet",
+  "dumbly",
+  "dunned",
+  "dunner",
+  "duster",
+  "dweebs",
+  "dyadic",
+  "eaglet",
+  "earbud",
+  "earful",
+  "earwax",
+  "earwig",
+  "eaters",
+  "eatery",
+  "eerily",
+  "efface",
+  "effete",
+  "eggnog",
+  "egoist",
+  "egress",
+  "egrets",
+  "eiders",
+  "elated",
+  "elates",
+  "elfish",
+  "elided",
+  "elides",
+  "elixir",
+  "emceed",
+  "emcees",
+  "emends",
+  "emetic",
+  "emojis",
+  "emoted",
+  "emotes",
+  "enamor",
+  "encamp",
+  "endued",
+  "endues",
+  "enfold",
+  "enjoin",
+  "enmesh",
+  "entomb",
+  "ermine",
+  "errata",
+  "ersatz",
+  "eschew",
+  "escrow",
+  "espied",
+  "espies",
+  "esters",
+  "etcher",
+  "eunuch",
+  "evilly",
+  "evince",
+  "eyeful",
+  "eyelet",
+  "fabled",
+  "fagged",
+  "fainer",
+  "fakers",
+  "fakirs",
+  "fallow",
+  "famish",
+  "fanboy",
+  "fandom",
+  "farina",
+  "farrow",
+  "farted",
+  "faxing",
+  "fealty",
+  "fecund",
+  "fedora",
+  "feebly",
+  "feisty",
+  "femurs",
+  "fencer",
+  "fennel",
+  "ferric",
+  "fervid",
+  "festal",
+  "fettle",
+  "fibula",
+  "fiches",
+  "filial",
+  "fillip",
+  "finder",
+  "finery",
+  "finked",
+  "firths",
+  "fixate",
+  "fixers",
+  "fixity",
+  "fjords",
+  "flacks",
+  "flagon",
+  "flange",
+  "flaxen",
+  "flayed",
+  "flinty",
+  "floozy",
+  "florin",
+  "floury",
+  "flumes",
+  "flybys",
+  "fobbed",
+  "folios",
+  "fondue",
+  "foully",
+  "fracks",
+  "framer",
+  "freaky",
+  "fresco",
+  "fridge",
+  "frowzy",
+  "frumps",
+  "frumpy",
+  "fryers",
+  "fucked",
+  "fucker",
+  "fuddle",
+  "fugues",
+  "fungal",
+  "funked",
+  "futons",
+  "futzed",
+  "futzes",
+  "gabble",
+  "gabled",
+  "gadded",
+  "gadfly",
+  "gaffed",
+  "gaffes",
+  "gaggle",
+  "gaiter",
+  "galena",
+  "galosh",
+  "gambol",
+  "gamely",
+  "gamete",
+  "gamier",
+  "gamine",
+  "gamins",
+  "gammas",
+  "gannet",
+  "gantry",
+  "garner",
+  "gauche",
+  "gaucho",
+  "gazebo",
+  "gazers",
+  "geckos",
+  "geezer",
+  "geisha",
+  "gelled",
+  "genome",
+  "geodes",
+  "gerund",
+  "gewgaw",
+  "gibbet",
+  "gibbon",
+  "giblet",
+  "giggly",
+  "gigolo",
+  "gimlet",
+  "ginkgo",
+  "girded",
+  "girted",
+  "gizmos",
+  "glitch",
+  "glitzy",
+  "gluier",
+  "glumly",
+  "gluten",
+  "gnarly",
+  "gneiss",
+  "godson",
+  "gofers",
+  "goings",
+  "goiter",
+  "gonads",
+  "goober",
+  "goodly",
+  "google",
+  "gouger",
+  "grainy",
+  "grange",
+  "gratis",
+  "grebes",
+  "gringo",
+  "grippe",
+  "grouts",
+  "grunge",
+  "grungy",
+  "guavas",
+  "gulags",
+  "gumbos",
+  "gurney",
+  "gusset",
+  "gypped",
+  "gypsum",
+  "hackle",
+  "hallow",
+  "hankie",
+  "hansom",
+  "haters",
+  "hatter",
+  "hauler",
+  "haunch",
+  "hawing",
+  "hawker",
+  "hawser",
+  "haymow",
+  "hazily",
+  "hazmat",
+  "hearer",
+  "heaths",
+  "hector",
+  "heehaw",
+  "hefted",
+  "heists",
+  "helots",
+  "hempen",
+  "hennas",
+  "hepper",
+  "herbal",
+  "herder",
+  "hereof",
+  "hereto",
+  "hewers",
+  "hexing",
+  "hickey",
+  "hieing",
+  "hippos",
+  "hitter",
+  "hoagie",
+  "hoaxer",
+  "hogans",
+  "hokier",
+  "homers",
+  "homily",
+  "hominy",
+  "honcho",
+  "hoodie",
+  "hoodoo",
+  "hookah",
+  "hooker",
+  "hookup",
+  "hoopla",
+  "horsey",
+  "hotkey",
+  "howdah",
+  "howler",
+  "hubcap",
+  "hubris",
+  "humeri",
+  "hummus",
+  "hunker",
+  "hurler",
+  "husker",
+  "hussar",
+  "hydras",
+  "hymens",
+  "hyping",
+  "iambic",
+  "ibexes",
+  "ibises",
+  "icebox",
+  "icecap",
+  "ickier",
+  "idlers",
+  "idylls",
+  "iffier",
+  "imbibe",
+  "imbued",
+  "imbues",
+  "immure",
+  "impala",
+  "impugn",
+  "impute",
+  "incise",
+  "inflow",
+  "ingots",
+  "inhere",
+  "inline",
+  "inmost",
+  "inroad",
+  "inseam",
+  "insets",
+  "insole",
+  "intone",
+  "intros",
+  "intuit",
+  "inured",
+  "inures",
+  "iodize",
+  "ionize",
+  "ipecac",
+  "islets",
+  "isobar",
+  "jabots",
+  "japans",
+  "japing",
+  "jasper",
+  "jejune",
+  "jerkin",
+  "jetsam",
+  "jibbed",
+  "jigger",
+  "jihads",
+  "jitney",
+  "jiving",
+  "jobber",
+  "jocose",
+  "jocund",
+  "joggle",
+  "joiner",
+  "joists",
+  "joshed",
+  "joshes",
+  "joules",
+  "jounce",
+  "jousts",
+  "juicer",
+  "jujube",
+  "juleps",
+  "juncos",
+  "junker",
+  "jurist",
+  "kaboom",
+  "kaolin",
+  "kazoos",
+  "kebabs",
+  "kenned",
+  "kibitz",
+  "kibosh",
+  "kicker",
+  "kidder",
+  "kiddie",
+  "kiddos",
+  "kilter",
+  "kingly",
+  "kismet",
+  "kisser",
+  "kitsch",
+  "klutzy",
+  "knaves",
+  "knells",
+  "knobby",
+  "kopeck",
+  "kroner",
+  "kronor",
+  "kudzus",
+  "labial",
+  "labium",
+  "lackey",
+  "lactic",
+  "lacuna",
+  "laddie",
+  "lagers",
+  "lamely",
+  "lammed",
+  "lancer",
+  "lancet",
+  "lanker",
+  "laptop",
+  "larder",
+  "largos",
+  "lariat",
+  "larval",
+  "lassie",
+  "lassos",
+  "lattes",
+  "layoff",
+  "lazily",
+  "lazing",
+  "leaven",
+  "lecher",
+  "legate",
+  "legato",
+  "legman",
+  "legmen",
+  "lemmas",
+  "lemony",
+  "lemurs",
+  "lender",
+  "lessee",
+  "lessor",
+  "lewdly",
+  "liaise",
+  "libido",
+  "lidded",
+  "liefer",
+  "lieges",
+  "lifers",
+  "limbos",
+  "limier",
+  "limned",
+  "limpet",
+  "limpid",
+  "limply",
+  "linage",
+  "linden",
+  "lineal",
+  "linens",
+  "lineup",
+  "linkup",
+  "linnet",
+  "lintel",
+  "lipids",
+  "litchi",
+  "litmus",
+  "livery",
+  "llanos",
+  "loaner",
+  "lockup",
+  "logins",
+  "logjam",
+  "logoff",
+  "logons",
+  "logout",
+  "lolcat",
+  "loners",
+  "loofah",
+  "lookup",
+  "looter",
+  "lordly",
+  "louver",
+  "lowish",
+  "lubber",
+  "lubing",
+  "lumbar",
+  "lummox",
+  "lyceum",
+  "lynxes",
+  "macaws",
+  "macron",
+  "macros",
+  "madras",
+  "mailer",
+  "mallow",
+  "mambos",
+  "mammon",
+  "manful",
+  "manics",
+  "manses",
+  "mantes",
+  "mantis",
+  "mantra",
+  "maraca",
+  "maraud",
+  "markup",
+  "marlin",
+  "marmot",
+  "marten",
+  "masher",
+  "mashup",
+  "masque",
+  "matins",
+  "matzoh",
+  "matzos",
+  "matzot",
+  "mavens",
+  "maxing",
+  "mayday",
+  "mayfly",
+  "meanly",
+  "meccas",
+  "medial",
+  "medics",
+  "melded",
+  "menage",
+  "mender",
+  "menses",
+  "merino",
+  "merman",
+  "mermen",
+  "mescal",
+  "mewled",
+  "miasma",
+  "micron",
+  "midair",
+  "midges",
+  "miffed",
+  "milers",
+  "milieu",
+  "millet",
+  "mimosa",
+  "minima",
+  "minims",
+  "minxes",
+  "miscue",
+  "misdid",
+  "missal",
+  "mister",
+  "miters",
+  "mizzen",
+  "mochas",
+  "mocker",
+  "modals",
+  "modems",
+  "modish",
+  "moguls",
+  "moiety",
+  "moires",
+  "molder",
+  "monger",
+  "mopeds",
+  "moppet",
+  "morays",
+  "morrow",
+  "moseys",
+  "motile",
+  "mottle",
+  "mouser",
+  "muesli",
+  "muftis",
+  "muggle",
+  "mukluk",
+  "mulish",
+  "mullah",
+  "mullet",
+  "mummer",
+  "muscat",
+  "muslin",
+  "muumuu",
+  "myopia",
+  "myrtle",
+  "mythic",
+  "nabobs",
+  "nachos",
+  "nadirs",
+  "naiads",
+  "neocon",
+  "newels",
+  "niacin",
+  "niggas",
+  "niggaz",
+  "nigger",
+  "niggle",
+  "nigher",
+  "nimbus",
+  "ninjas",
+  "nipper",
+  "nixing",
+  "nodule",
+  "noggin",
+  "noncom",
+  "nonfat",
+  "noshed",
+  "noshes",
+  "notary",
+  "nowise",
+  "nubile",
+  "nudism",
+  "nudist",
+  "nuking",
+  "numbly",
+  "nuncio",
+  "nutria",
+  "nylons",
+  "oafish",
+  "oblate",
+  "oboist",
+  "occult",
+  "ocelot",
+  "octane",
+  "octets",
+  "oinked",
+  "oldies",
+  "omegas",
+  "online",
+  "onyxes",
+  "opiate",
+  "opined",
+  "opines",
+  "orally",
+  "orated",
+  "orates",
+  "ordure",
+  "oriole",
+  "ormolu",
+  "ornery",
+  "osiers",
+  "osprey",
+  "ossify",
+  "otiose",
+  "outage",
+  "outbid",
+  "outfox",
+  "ovoids",
+  "ovules",
+  "owlets",
+  "owlish",
+  "oxbows",
+  "oxford",
+  "padres",
+  "paeans",
+  "pagers",
+  "pallet",
+  "pampas",
+  "papery",
+  "pariah",
+  "parlay",
+  "parley",
+  "pashas",
+  "passel",
+  "patina",
+  "patine",
+  "patois",
+  "pawpaw",
+  "payday",
+  "payees",
+  "peahen",
+  "pearly",
+  "pebbly",
+  "pectin",
+  "peeing",
+  "peeper",
+  "peewee",
+  "penile",
+  "pennon",
+  "penury",
+  "pepsin",
+  "peptic",
+  "permed",
+  "pertly",
+  "peseta",
+  "pestle",
+  "petard",
+  "petrel",
+  "pewees",
+  "peyote",
+  "phalli",
+  "phials",
+  "phloem",
+  "phobic",
+  "phoebe",
+  "phonic",
+  "phooey",
+  "phylum",
+  "piazza",
+  "picker",
+  "pidgin",
+  "pieing",
+  "piffle",
+  "piglet",
+  "pigsty",
+  "pikers",
+  "pilafs",
+  "pileup",
+  "pimped",
+  "pincer",
+  "pinged",
+  "pinkie",
+  "pintos",
+  "pinups",
+  "pipers",
+  "pipits",
+  "pipped",
+  "pippin",
+  "pissed",
+  "pisses",
+  "pistil",
+  "pitons",
+  "pixels",
+  "placer",
+  "plaint",
+  "plaits",
+  "platen",
+  "plexus",
+  "plinth",
+  "plover",
+  "plugin",
+  "plunks",
+  "plushy",
+  "pocked",
+  "pogrom",
+  "pointy",
+  "pokeys",
+  "polity",
+  "pomade",
+  "pommel",
+  "pompom",
+  "poohed",
+  "popgun",
+  "poplin",
+  "poppas",
+  "posers",
+  "poseur",
+  "posher",
+  "posits",
+  "posses",
+  "potash",
+  "potful",
+  "potpie",
+  "prated",
+  "prates",
+  "prenup",
+  "preppy",
+  "preset",
+  "prewar",
+  "pricey",
+  "priory",
+  "prissy",
+  "privet",
+  "prolix",
+  "promos",
+  "pronto",
+  "pshaws",
+  "psycho",
+  "puffin",
+  "puller",
+  "pullet",
+  "pulsar",
+  "pumper",
+  "punchy",
+  "purism",
+  "purist",
+  "purled",
+  "purser",
+  "purvey",
+  "putsch",
+  "pwning",
+  "pylons",
+  "pyrite",
+  "quaffs",
+  "quahog",
+  "quanta",
+  "quarks",
+  "quarto",
+  "quasar",
+  "quince",
+  "quires",
+  "quoits",
+  "raceme",
+  "racers",
+  "racily",
+  "raffia",
+  "raglan",
+  "ragout",
+  "ragtag",
+  "rajahs",
+  "rakish",
+  "ramify",
+  "ranter",
+  "rapier",
+  "rapine",
+  "rapper",
+  "rarefy",
+  "rattan",
+  "razzed",
+  "razzes",
+  "reamer",
+  "rearms",
+  "recast",
+  "recopy",
+  "redcap",
+  "redrew",
+  "reefer",
+  "reeves",
+  "reffed",
+  "refile",
+  "refits",
+  "reggae",
+  "rehabs",
+  "reheat",
+  "rehire",
+  "remand",
+  "rennet",
+  "renter",
+  "reorgs",
+  "repast",
+  "reruns",
+  "resell",
+  "resend",
+  "resold",
+  "retake",
+  "retell",
+  "retold",
+  "retook",
+  "retool",
+  "retrod",
+  "rewire",
+  "reword",
+  "rheumy",
+  "ribald",
+  "ricked",
+  "riffed",
+  "riffle",
+  "riming",
+  "ringer",
+  "ripely",
+  "ripper",
+  "ripsaw",
+  "roamer",
+  "rococo",
+  "rogers",
+  "roiled",
+  "romper",
+  "roofer",
+  "roomer",
+  "rosily",
+  "rosins",
+  "rovers",
+  "roving",
+  "rowels",
+  "rowers",
+  "rubles",
+  "rugrat",
+  "rumbas",
+  "rumpus",
+  "runnel",
+  "runoff",
+  "rupees",
+  "russet",
+  "sables",
+  "sachem",
+  "sachet",
+  "sahibs",
+  "salaam",
+  "saline",
+  "salsas",
+  "salver",
+  "salvos",
+  "sambas",
+  "sampan",
+  "sander",
+  "sanely",
+  "sarong",
+  "sashay",
+  "sassed",
+  "sasses",
+  "sateen",
+  "sating",
+  "satiny",
+  "satrap",
+  "satyrs",
+  "savant",
+  "savers",
+  "sawyer",
+  "scabby",
+  "scampi",
+  "scamps",
+  "scarab",
+  "schema",
+  "schism",
+  "schist",
+  "schlep",
+  "schuss",
+  "schwas",
+  "scions",
+  "sconce",
+  "scones",
+  "scrimp",
+  "scrips",
+  "scrota",
+  "scubas",
+  "sculls",
+  "sculpt",
+  "scummy",
+  "scurfy",
+  "scurvy",
+  "scuzzy",
+  "seabed",
+  "sealer",
+  "seaway",
+  "seeker",
+  "seemly",
+  "segued",
+  "segues",
+  "selfie",
+  "sepals",
+  "sepsis",
+  "septet",
+  "septic",
+  "septum",
+  "serape",
+  "seraph",
+  "serest",
+  "serous",
+  "servos",
+  "sesame",
+  "settee",
+  "setups",
+  "sexier",
+  "sexily",
+  "sexpot",
+  "sextet",
+  "sexton",
+  "shaker",
+  "shaman",
+  "shandy",
+  "shanks",
+  "shards",
+  "sharia",
+  "shekel",
+  "shills",
+  "shimmy",
+  "shiner",
+  "shinny",
+  "shires",
+  "shirrs",
+  "shitty",
+  "shogun",
+  "shrift",
+  "shrike",
+  "shrive",
+  "shtick",
+  "sibyls",
+  "sifter",
+  "signet",
+  "silage",
+  "silica",
+  "simian",
+  "simper",
+  "sinker",
+  "sitars",
+  "sitcom",
+  "skiers",
+  "skiffs",
+  "skivvy",
+  "skycap",
+  "slalom",
+  "slangy",
+  "slaver",
+  "slayer",
+  "sleaze",
+  "sledge",
+  "sleety",
+  "sleuth",
+  "slicer",
+  "slider",
+  "slinky",
+  "sloops",
+  "slough",
+  "sloven",
+  "sluing",
+  "slurps",
+  "slushy",
+  "smarmy",
+  "smirch",
+  "smithy",
+  "smoggy",
+  "smooch",
+  "smudgy",
+  "smutty",
+  "snafus",
+  "snarky",
+  "snazzy",
+  "snippy",
+  "snivel",
+  "snobby",
+  "snoopy",
+  "snoots",
+  "snorer",
+  "snotty",
+  "solver",
+  "sonars",
+  "sorbet",
+  "sorrel",
+  "sorter",
+  "sortie",
+  "soughs",
+  "sourly",
+  "soused",
+  "souses",
+  "soviet",
+  "sowers",
+  "spacey",
+  "spates",
+  "specie",
+  "spiels",
+  "spiffy",
+  "spinet",
+  "spirea",
+  "splats",
+  "splays",
+  "spline",
+  "spoors",
+  "spored",
+  "sporty",
+  "sprats",
+  "sprite",
+  "spritz",
+  "spryly",
+  "spumed",
+  "spumes",
+  "spunky",
+  "sputum",
+  "squabs",
+  "squaws",
+  "squish",
+  "stamen",
+  "steads",
+  "steeds",
+  "steely",
+  "steins",
+  "stents",
+  "steppe",
+  "stiles",
+  "stilts",
+  "stoats",
+  "stoics",
+  "stoker",
+  "stoner",
+  "stooge",
+  "strafe",
+  "strobe",
+  "strops",
+  "stucco",
+  "stumpy",
+  "stymie",
+  "suborn",
+  "sunder",
+  "supine",
+  "supped",
+  "surety",
+  "surfer",
+  "surrey",
+  "surtax",
+  "suture",
+  "svelte",
+  "swains",
+  "swamis",
+  "swanks",
+  "swanky",
+  "swards",
+  "swatch",
+  "swaths",
+  "swirly",
+  "sylphs",
+  "sylvan",
+  "synced",
+  "synods",
+  "syrupy",
+  "tamale",
+  "tamers",
+  "tamped",
+  "tampon",
+  "tannin",
+  "tapirs",
+  "taring",
+  "tarmac",
+  "tarots",
+  "tarpon",
+  "tartly",
+  "tasers",
+  "taster",
+  "tatted",
+  "tatter",
+  "tautly",
+  "teabag",
+  "teasel",
+  "teaser",
+  "techno",
+  "temped",
+  "tenons",
+  "tenpin",
+  "tensor",
+  "texted",
+  "theism",
+  "thorax",
+  "thrall",
+  "throes",
+  "thrums",
+  "thrush",
+  "thwack",
+  "thymus",
+  "tibiae",
+  "ticker",
+  "tidily",
+  "tildes",
+  "tiller",
+  "timbre",
+  "tingly",
+  "tipper",
+  "tipple",
+  "tiptop",
+  "titans",
+  "tithed",
+  "tithes",
+  "tittle",
+  "toasty",
+  "tocsin",
+  "toiler",
+  "toking",
+  "tonier",
+  "toothy",
+  "toques",
+  "torpid",
+  "torpor",
+  "tortes",
+  "tossup",
+  "tracer",
+  "triads",
+  "triage",
+  "trikes",
+  "trimly",
+  "triply",
+  "trivet",
+  "troika",
+  "tromps",
+  "tropes",
+  "tropic",
+  "trysts",
+  "tubers",
+  "tucker",
+  "turbid",
+  "turbot",
+  "tushes",
+  "tusked",
+  "tweeds",
+  "tweedy",
+  "twerks",
+  "twerps",
+  "twiggy",
+  "twofer",
+  "ultras",
+  "umbels",
+  "umiaks",
+  "umlaut",
+  "umping",
+  "unbars",
+  "unbend",
+  "unbent",
+  "unbind",
+  "unbolt",
+  "uncoil",
+  "uncork",
+  "undies",
+  "unease",
+  "unhand",
+  "unholy",
+  "unhurt",
+  "unisex",
+  "unlace",
+  "unmade",
+  "unmake",
+  "unpins",
+  "unplug",
+  "unripe",
+  "unroll",
+  "unseal",
+  "unsent",
+  "unsnap",
+  "unsold",
+  "unstop",
+  "unzips",
+  "upland",
+  "uppity",
+  "urinal",
+  "usurer",
+  "utopia",
+  "uvular",
+  "uvulas",
+  "vainly",
+  "vamped",
+  "vaping",
+  "varlet",
+  "vassal",
+  "vaunts",
+  "vegans",
+  "veggie",
+  "vellum",
+  "venial",
+  "venous",
+  "verily",
+  "verity",
+  "vernal",
+  "vertex",
+  "vesper",
+  "vestry",
+  "viands",
+  "vilely",
+  "virago",
+  "vireos",
+  "visage",
+  "viscid",
+  "viscus",
+  "vitals",
+  "vivace",
+  "vivify",
+  "vixens",
+  "vizier",
+  "votary",
+  "votive",
+  "voyeur",
+  "vulvae",
+  "wacker",
+  "wackos",
+  "waders",
+  "waggle",
+  "waling",
+  "wampum",
+  "wangle",
+  "wapiti",
+  "warder",
+  "warily",
+  "waster",
+  "wattle",
+  "wearer",
+  "webcam",
+  "weeder",
+  "weeper",
+  "weevil",
+  "welkin",
+  "wended",
+  "whammy",
+  "wheals",
+  "wheezy",
+  "whelks",
+  "whelps",
+  "whimsy",
+  "whiner",
+  "whoosh",
+  "whorls",
+  "wiener",
+  "wifely",
+  "wigeon",
+  "wiggly",
+  "wights",
+  "wigwag",
+  "wiling",
+  "wimple",
+  "windup",
+  "winery",
+  "winger",
+  "winnow",
+  "wisher",
+  "withal",
+  "woeful",
+  "wonted",
+  "woodsy",
+  "wooers",
+  "woofer",
+  "wraith",
+  "wusses",
+  "yahoos",
+  "yammer",
+  "yawing",
+  "yeasty",
+  "yeoman",
+  "yeomen",
+  "yipped",
+  "yippee",
+  "yuccas",
+  "yukked",
+  "yuppie",
+  "zapped",
+  "zapper",
+  "zealot",
+  "zephyr",
+  "zinged",
+  "zinger",
+  "zinnia",
+  "zircon",
+  "zither",
+  "zonked",
+  "zygote"
+];
+
+/**
+ * Every accepted 6-letter word (answers + valid guesses), sorted
+ */
+export const SOLUTIONS_LIST = [...ANSWERS_LIST, ...VALID_GUESSES_LIST].sort();
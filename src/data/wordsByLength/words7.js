@@ -0,0 +1,9631 @@
+// src/data/wordsByLength/words7.js
+//
+// 7-LETTER WORD LIST (generated by scripts/buildWordLists.js - do not edit by hand)
+//
+// Split into two lists, like solutions.js:
+// - ANSWERS_LIST: common words (SCOWL sizes 10-35), the likely answers in Wordle clones
+// - VALID_GUESSES_LIST: less common words accepted as guesses (SCOWL sizes up to 50)
+//
+// Word lists derived from SCOWL (http://wordlist.aspell.net/):
+//   Copyright 2000-2016 by Kevin Atkinson
+//   Permission to use, copy, modify, distribute and sell these word
+//   lists, the associated scripts, the output created from the scripts,
+//   and its documentation for any purpose is hereby granted without fee,
+//   provided that the above copyright notice appears in all copies and
+//   that both that copyright notice and this permission notice appear in
+//   supporting documentation. Kevin Atkinson makes no representations
+//   about the suitability of this array for any purpose. It is provided
+//   "as is" without express or implied warranty.
+
+/**
+ * Common 7-letter words (likely answers)
+ * Total: 6719 words
+ */
+export const ANSWERS_LIST = [
+  "abandon",
+  "abating",
+  "abdomen",
+  "abducts",
+  "abetted",
+  "abiding",
+  "ability",
+  "abolish",
+  "aborted",
+  "abounds",
+  "abreast",
+  "abridge",
+  "abscess",
+  "abscond",
+  "absence",
+  "absents",
+  "absolve",
+  "absorbs",
+  "abstain",
+  "abusers",
+  "abusing",
+  "abusive",
+  "abysmal",
+  "abysses",
+  "academy",
+  "acceded",
+  "accedes",
+  "accents",
+  "accepts",
+  "acclaim",
+  "accords",
+  "accosts",
+  "account",
+  "accrued",
+  "accrues",
+  "accused",
+  "accuser",
+  "accuses",
+  "achieve",
+  "acidity",
+  "acquire",
+  "acquits",
+  "acreage",
+  "acrider",
+  "acrobat",
+  "acronym",
+  "acrylic",
+  "actions",
+  "actives",
+  "actress",
+  "actuary",
+  "acutely",
+  "acutest",
+  "adamant",
+  "adapted",
+  "adapter",
+  "addicts",
+  "address",
+  "adhered",
+  "adheres",
+  "adjoins",
+  "adjourn",
+  "adjunct",
+  "adjusts",
+  "admiral",
+  "admired",
+  "admirer",
+  "admires",
+  "adopted",
+  "adoring",
+  "adorned",
+  "advance",
+  "adverbs",
+  "adverse",
+  "adverts",
+  "advised",
+  "adviser",
+  "advises",
+  "aerials",
+  "aerosol",
+  "affable",
+  "affably",
+  "affairs",
+  "affects",
+  "affirms",
+  "affixed",
+  "affixes",
+  "afflict",
+  "affords",
+  "affront",
+  "against",
+  "agendas",
+  "agility",
+  "agitate",
+  "agonies",
+  "agonize",
+  "aground",
+  "ailment",
+  "aimless",
+  "airiest",
+  "airline",
+  "airmail",
+  "airport",
+  "alarmed",
+  "albinos",
+  "alcohol",
+  "alcoves",
+  "alerted",
+  "algebra",
+  "aliased",
+  "aliases",
+  "alibied",
+  "aliened",
+  "alights",
+  "aligned",
+  "alimony",
+  "allayed",
+  "alleged",
+  "alleges",
+  "allergy",
+  "allowed",
+  "alloyed",
+  "alluded",
+  "alludes",
+  "allured",
+  "allures",
+  "allying",
+  "almanac",
+  "almonds",
+  "already",
+  "altered",
+  "amassed",
+  "amasses",
+  "amateur",
+  "amazing",
+  "ambient",
+  "ambling",
+  "amended",
+  "amenity",
+  "amiable",
+  "amiably",
+  "ammonia",
+  "amnesia",
+  "amnesty",
+  "amoebae",
+  "amoebas",
+  "amorous",
+  "amounts",
+  "amperes",
+  "amplest",
+  "amplify",
+  "amulets",
+  "amusing",
+  "anagram",
+  "analogy",
+  "analyst",
+  "analyze",
+  "anarchy",
+  "anatomy",
+  "anchors",
+  "anchovy",
+  "ancient",
+  "android",
+  "angelic",
+  "angered",
+  "anglers",
+  "angling",
+  "angrier",
+  "angrily",
+  "anguish",
+  "angular",
+  "animals",
+  "animate",
+  "annexed",
+  "annexes",
+  "annoyed",
+  "annuals",
+  "annuity",
+  "anoints",
+  "anomaly",
+  "anoraks",
+  "another",
+  "answers",
+  "antenna",
+  "anthems",
+  "anthill",
+  "anthrax",
+  "antique",
+  "antlers",
+  "antonym",
+  "anxiety",
+  "anxious",
+  "anybody",
+  "apology",
+  "apostle",
+  "appalls",
+  "apparel",
+  "appeals",
+  "appears",
+  "appease",
+  "appends",
+  "applaud",
+  "applied",
+  "applies",
+  "appoint",
+  "approve",
+  "apricot",
+  "aquatic",
+  "arbiter",
+  "arcades",
+  "archaic",
+  "archers",
+  "archery",
+  "archest",
+  "arching",
+  "archive",
+  "archway",
+  "arduous",
+  "arguing",
+  "arising",
+  "armored",
+  "armpits",
+  "aroused",
+  "arouses",
+  "arraign",
+  "arrange",
+  "arrayed",
+  "arrears",
+  "arrests",
+  "arrival",
+  "arrived",
+  "arrives",
+  "arsenal",
+  "arsenic",
+  "article",
+  "artisan",
+  "artists",
+  "artwork",
+  "ascends",
+  "ascents",
+  "ascetic",
+  "ascribe",
+  "asexual",
+  "ashamed",
+  "ashtray",
+  "askance",
+  "aspects",
+  "asphalt",
+  "aspired",
+  "aspires",
+  "aspirin",
+  "assails",
+  "assault",
+  "assents",
+  "asserts",
+  "assigns",
+  "assists",
+  "assorts",
+  "assumed",
+  "assumes",
+  "assured",
+  "assures",
+  "astound",
+  "astride",
+  "astuter",
+  "asylums",
+  "atheism",
+  "atheist",
+  "athlete",
+  "atlases",
+  "atoning",
+  "attacks",
+  "attains",
+  "attempt",
+  "attends",
+  "attests",
+  "attired",
+  "attires",
+  "attract",
+  "auction",
+  "audible",
+  "audibly",
+  "audited",
+  "auditor",
+  "augment",
+  "austere",
+  "authors",
+  "autopsy",
+  "autumns",
+  "availed",
+  "avarice",
+  "avenged",
+  "avenges",
+  "avenues",
+  "average",
+  "averted",
+  "aviator",
+  "avocado",
+  "avoided",
+  "avowals",
+  "avowing",
+  "awaited",
+  "awakens",
+  "awaking",
+  "awarded",
+  "awesome",
+  "awfully",
+  "awkward",
+  "awnings",
+  "azaleas",
+  "babbled",
+  "babbles",
+  "babiest",
+  "baboons",
+  "babying",
+  "babyish",
+  "backers",
+  "backing",
+  "backlog",
+  "baddest",
+  "badgers",
+  "badness",
+  "baffled",
+  "baffles",
+  "baggage",
+  "baggier",
+  "bagging",
+  "bailing",
+  "baiting",
+  "balance",
+  "balcony",
+  "baldest",
+  "balding",
+  "balking",
+  "ballads",
+  "ballast",
+  "ballets",
+  "balling",
+  "balloon",
+  "ballots",
+  "balmier",
+  "baloney",
+  "bamboos",
+  "bananas",
+  "bandage",
+  "bandied",
+  "bandier",
+  "bandies",
+  "banding",
+  "bandits",
+  "banging",
+  "bankers",
+  "banking",
+  "banners",
+  "banning",
+  "banquet",
+  "banters",
+  "baptism",
+  "baptize",
+  "barbers",
+  "barbing",
+  "bargain",
+  "barging",
+  "barking",
+  "baroque",
+  "barrage",
+  "barrels",
+  "barrens",
+  "barrier",
+  "barring",
+  "barters",
+  "bashful",
+  "bashing",
+  "baskets",
+  "basking",
+  "bassoon",
+  "bastard",
+  "basting",
+  "batched",
+  "batches",
+  "bathing",
+  "bathtub",
+  "batsman",
+  "batters",
+  "battery",
+  "batting",
+  "battled",
+  "battles",
+  "bawdier",
+  "bawling",
+  "bayonet",
+  "bazaars",
+  "beached",
+  "beaches",
+  "beacons",
+  "beadier",
+  "beading",
+  "beagles",
+  "beakers",
+  "beaming",
+  "beaning",
+  "bearded",
+  "bearers",
+  "bearing",
+  "beaters",
+  "beating",
+  "beavers",
+  "because",
+  "beckons",
+  "becomes",
+  "bedbugs",
+  "bedding",
+  "bedlams",
+  "bedrock",
+  "bedroom",
+  "bedside",
+  "bedtime",
+  "beeches",
+  "beefier",
+  "beefing",
+  "beehive",
+  "beeswax",
+  "beetled",
+  "beetles",
+  "befalls",
+  "beggars",
+  "begging",
+  "beguile",
+  "behaved",
+  "behaves",
+  "beheads",
+  "behinds",
+  "beholds",
+  "belabor",
+  "belated",
+  "belched",
+  "belches",
+  "beliefs",
+  "believe",
+  "bellboy",
+  "bellhop",
+  "bellied",
+  "bellies",
+  "belling",
+  "bellows",
+  "belongs",
+  "beloved",
+  "belting",
+  "belying",
+  "bemoans",
+  "bemused",
+  "bemuses",
+  "benched",
+  "benches",
+  "bending",
+  "beneath",
+  "benefit",
+  "bequest",
+  "bereave",
+  "berried",
+  "berries",
+  "berserk",
+  "berthed",
+  "beseech",
+  "besides",
+  "besiege",
+  "bestial",
+  "besting",
+  "bestows",
+  "betrays",
+  "betters",
+  "betting",
+  "bettors",
+  "between",
+  "bewared",
+  "bewares",
+  "bewitch",
+  "biasing",
+  "bickers",
+  "bicycle",
+  "bidding",
+  "biggest",
+  "bigoted",
+  "bigotry",
+  "bikinis",
+  "billing",
+  "billion",
+  "billows",
+  "binders",
+  "binding",
+  "binning",
+  "biology",
+  "biplane",
+  "birched",
+  "birches",
+  "birding",
+  "birthed",
+  "biscuit",
+  "bisects",
+  "bishops",
+  "bitched",
+  "bitches",
+  "bizarre",
+  "blabbed",
+  "blacked",
+  "blacken",
+  "blacker",
+  "bladder",
+  "blaming",
+  "blander",
+  "blanked",
+  "blanker",
+  "blanket",
+  "blankly",
+  "blaring",
+  "blasted",
+  "blaster",
+  "blatant",
+  "blazers",
+  "blazing",
+  "bleaker",
+  "bleated",
+  "blemish",
+  "blended",
+  "blessed",
+  "blesses",
+  "blights",
+  "blinded",
+  "blinder",
+  "blindly",
+  "blinked",
+  "blinker",
+  "blister",
+  "blither",
+  "blitzed",
+  "blitzes",
+  "blobbed",
+  "blocked",
+  "blogged",
+  "blogger",
+  "blonder",
+  "blondes",
+  "blooded",
+  "bloomed",
+  "blossom",
+  "blotted",
+  "blotter",
+  "bloused",
+  "blouses",
+  "blowing",
+  "blowout",
+  "blubber",
+  "bluffed",
+  "bluffer",
+  "blunder",
+  "blunted",
+  "blunter",
+  "bluntly",
+  "blurred",
+  "blurted",
+  "blushed",
+  "blushes",
+  "bluster",
+  "boarded",
+  "boarder",
+  "boasted",
+  "boating",
+  "bobbing",
+  "bobbins",
+  "bobcats",
+  "bobsled",
+  "bodices",
+  "bogging",
+  "boggled",
+  "boggles",
+  "boilers",
+  "boiling",
+  "boldest",
+  "bologna",
+  "bolster",
+  "bolting",
+  "bombard",
+  "bombers",
+  "bombing",
+  "bondage",
+  "bonding",
+  "bonfire",
+  "boniest",
+  "bonnets",
+  "bonuses",
+  "bookend",
+  "booking",
+  "booklet",
+  "booming",
+  "boorish",
+  "boosted",
+  "booster",
+  "bootees",
+  "booties",
+  "booting",
+  "bootleg",
+  "borders",
+  "boredom",
+  "borough",
+  "borrows",
+  "bossier",
+  "bossing",
+  "botched",
+  "botches",
+  "bothers",
+  "bottled",
+  "bottles",
+  "bottoms",
+  "boulder",
+  "bounced",
+  "bounces",
+  "bounded",
+  "bouquet",
+  "bourbon",
+  "bovines",
+  "bowling",
+  "boxcars",
+  "boycott",
+  "boyhood",
+  "bracing",
+  "bracket",
+  "bragged",
+  "braided",
+  "brained",
+  "braised",
+  "braises",
+  "braking",
+  "branded",
+  "brasher",
+  "brasses",
+  "bravado",
+  "bravely",
+  "bravery",
+  "bravest",
+  "braving",
+  "brawled",
+  "braying",
+  "brazens",
+  "brazier",
+  "breaded",
+  "breadth",
+  "breasts",
+  "breathe",
+  "breaths",
+  "breeder",
+  "breezed",
+  "breezes",
+  "brevity",
+  "brewery",
+  "brewing",
+  "bribery",
+  "bribing",
+  "bricked",
+  "bridals",
+  "bridged",
+  "bridges",
+  "bridled",
+  "bridles",
+  "briefed",
+  "briefer",
+  "briefly",
+  "brigade",
+  "brimmed",
+  "brinier",
+  "brisked",
+  "brisker",
+  "briskly",
+  "bristle",
+  "brittle",
+  "broaden",
+  "broader",
+  "broadly",
+  "brocade",
+  "broiled",
+  "broiler",
+  "brokers",
+  "broncos",
+  "bronzed",
+  "bronzes",
+  "brooded",
+  "brooked",
+  "brother",
+  "brought",
+  "browned",
+  "browner",
+  "brownie",
+  "browsed",
+  "browses",
+  "bruised",
+  "bruises",
+  "brushed",
+  "brushes",
+  "brusque",
+  "brutish",
+  "bubbled",
+  "bubbles",
+  "buckets",
+  "bucking",
+  "buckled",
+  "buckles",
+  "buddies",
+  "budding",
+  "budgets",
+  "budging",
+  "buffalo",
+  "buffers",
+  "buffets",
+  "buffing",
+  "buffoon",
+  "buggers",
+  "buggier",
+  "buggies",
+  "bugging",
+  "buglers",
+  "bugling",
+  "builder",
+  "bulbous",
+  "bulging",
+  "bulkier",
+  "bulking",
+  "bulldog",
+  "bullets",
+  "bullied",
+  "bullies",
+  "bulling",
+  "bullion",
+  "bummest",
+  "bumming",
+  "bumpers",
+  "bumpier",
+  "bumping",
+  "bunched",
+  "bunches",
+  "bundled",
+  "bundles",
+  "bungled",
+  "bungler",
+  "bungles",
+  "bunions",
+  "bunkers",
+  "bunking",
+  "bunnies",
+  "buoyant",
+  "buoying",
+  "burbled",
+  "burbles",
+  "burdens",
+  "bureaus",
+  "burgers",
+  "burglar",
+  "burials",
+  "burlier",
+  "burners",
+  "burning",
+  "burnish",
+  "burping",
+  "burring",
+  "burrows",
+  "burying",
+  "bushels",
+  "bushier",
+  "bushing",
+  "busiest",
+  "busting",
+  "bustled",
+  "bustles",
+  "busying",
+  "butcher",
+  "butlers",
+  "butters",
+  "buttery",
+  "butting",
+  "buttock",
+  "buttons",
+  "buzzard",
+  "buzzers",
+  "buzzing",
+  "bygones",
+  "cabaret",
+  "cabbage",
+  "cabbing",
+  "cabinet",
+  "cabling",
+  "caboose",
+  "caching",
+  "cackled",
+  "cackles",
+  "caddied",
+  "caddies",
+  "cadence",
+  "cagiest",
+  "cajoled",
+  "cajoles",
+  "calcium",
+  "calculi",
+  "caliber",
+  "calking",
+  "callers",
+  "calling",
+  "callous",
+  "calmest",
+  "calming",
+  "calorie",
+  "cameras",
+  "campers",
+  "camping",
+  "cancels",
+  "cancers",
+  "candied",
+  "candies",
+  "candled",
+  "candles",
+  "canines",
+  "cankers",
+  "cannery",
+  "cannier",
+  "canning",
+  "cannons",
+  "canteen",
+  "canters",
+  "canvass",
+  "canyons",
+  "capable",
+  "capably",
+  "capered",
+  "capital",
+  "capping",
+  "caprice",
+  "capsize",
+  "capsule",
+  "captain",
+  "caption",
+  "captive",
+  "captors",
+  "capture",
+  "caramel",
+  "caravan",
+  "carbons",
+  "carcass",
+  "cardiac",
+  "carding",
+  "careers",
+  "careful",
+  "cargoes",
+  "caribou",
+  "carnage",
+  "caroled",
+  "carouse",
+  "carpets",
+  "carping",
+  "carried",
+  "carrier",
+  "carries",
+  "carrion",
+  "carrots",
+  "cartels",
+  "carting",
+  "cartons",
+  "cartoon",
+  "carving",
+  "cascade",
+  "cashews",
+  "cashier",
+  "cashing",
+  "casings",
+  "casinos",
+  "caskets",
+  "casters",
+  "casting",
+  "castled",
+  "castles",
+  "castoff",
+  "casuals",
+  "catalog",
+  "catcall",
+  "catches",
+  "catered",
+  "caterer",
+  "catfish",
+  "catnaps",
+  "catwalk",
+  "caulked",
+  "causing",
+  "caustic",
+  "caution",
+  "cavalry",
+  "caveats",
+  "caverns",
+  "cavorts",
+  "ceasing",
+  "ceiling",
+  "cellars",
+  "cellist",
+  "cements",
+  "censors",
+  "censure",
+  "centers",
+  "central",
+  "century",
+  "ceramic",
+  "cereals",
+  "certain",
+  "certify",
+  "chaffed",
+  "chafing",
+  "chagrin",
+  "chained",
+  "chaired",
+  "chalets",
+  "chalice",
+  "chalked",
+  "chamber",
+  "champed",
+  "chanced",
+  "chances",
+  "changed",
+  "changes",
+  "channel",
+  "chanted",
+  "chaotic",
+  "chapels",
+  "chapped",
+  "chapter",
+  "charged",
+  "charger",
+  "charges",
+  "chariot",
+  "charity",
+  "charmed",
+  "charred",
+  "charted",
+  "charter",
+  "chasing",
+  "chassis",
+  "chasten",
+  "chaster",
+  "chatted",
+  "chatter",
+  "cheapen",
+  "cheaper",
+  "cheaply",
+  "cheated",
+  "checked",
+  "checker",
+  "checkup",
+  "cheeked",
+  "cheeped",
+  "cheered",
+  "cheesed",
+  "cheeses",
+  "cheetah",
+  "chemist",
+  "cherish",
+  "cherubs",
+  "chewier",
+  "chewing",
+  "chicest",
+  "chicken",
+  "chiding",
+  "chiefer",
+  "chiefly",
+  "chilies",
+  "chilled",
+  "chiller",
+  "chiming",
+  "chimney",
+  "chinked",
+  "chinned",
+  "chipped",
+  "chipper",
+  "chirped",
+  "chisels",
+  "choicer",
+  "choices",
+  "choking",
+  "cholera",
+  "chooses",
+  "chopped",
+  "chopper",
+  "chorals",
+  "chortle",
+  "chowder",
+  "chowing",
+  "chromed",
+  "chromes",
+  "chronic",
+  "chucked",
+  "chuckle",
+  "chugged",
+  "chummed",
+  "churned",
+  "cinched",
+  "cinches",
+  "cinders",
+  "cinemas",
+  "ciphers",
+  "circled",
+  "circles",
+  "circuit",
+  "cistern",
+  "citizen",
+  "clacked",
+  "claimed",
+  "clamber",
+  "clammed",
+  "clamors",
+  "clamped",
+  "clanged",
+  "clanked",
+  "clapped",
+  "clapper",
+  "clarify",
+  "clarity",
+  "clashed",
+  "clashes",
+  "clasped",
+  "classed",
+  "classes",
+  "classic",
+  "clatter",
+  "clauses",
+  "clawing",
+  "cleaned",
+  "cleaner",
+  "cleanly",
+  "cleanse",
+  "cleared",
+  "clearer",
+  "clearly",
+  "cleaved",
+  "cleaver",
+  "cleaves",
+  "clerics",
+  "clerked",
+  "clicked",
+  "clients",
+  "climate",
+  "climbed",
+  "climber",
+  "clinics",
+  "clinked",
+  "clipped",
+  "cliques",
+  "cloaked",
+  "clocked",
+  "clogged",
+  "closely",
+  "closest",
+  "closets",
+  "closing",
+  "closure",
+  "clothed",
+  "clothes",
+  "clotted",
+  "clouded",
+  "clouted",
+  "clovers",
+  "clowned",
+  "clubbed",
+  "clucked",
+  "clumped",
+  "cluster",
+  "clutter",
+  "coached",
+  "coaches",
+  "coaling",
+  "coarsen",
+  "coarser",
+  "coastal",
+  "coasted",
+  "coaster",
+  "coating",
+  "coaxing",
+  "cobbler",
+  "cobwebs",
+  "cocaine",
+  "cockier",
+  "cocking",
+  "cockpit",
+  "coconut",
+  "cocoons",
+  "codding",
+  "coerced",
+  "coerces",
+  "coexist",
+  "coffees",
+  "coffers",
+  "coffins",
+  "cogency",
+  "cognacs",
+  "coiling",
+  "coinage",
+  "coining",
+  "coldest",
+  "collage",
+  "collars",
+  "collate",
+  "collect",
+  "college",
+  "collide",
+  "collies",
+  "colonel",
+  "colones",
+  "colored",
+  "columns",
+  "combats",
+  "combine",
+  "combing",
+  "comfort",
+  "comical",
+  "comings",
+  "command",
+  "commend",
+  "comment",
+  "commits",
+  "commons",
+  "commune",
+  "commute",
+  "compact",
+  "company",
+  "compare",
+  "compass",
+  "compels",
+  "compete",
+  "compile",
+  "complex",
+  "compose",
+  "compost",
+  "compute",
+  "comrade",
+  "concave",
+  "conceal",
+  "concede",
+  "conceit",
+  "concept",
+  "concern",
+  "concert",
+  "concise",
+  "concoct",
+  "concord",
+  "concurs",
+  "condemn",
+  "condoms",
+  "condone",
+  "condors",
+  "conduct",
+  "confers",
+  "confess",
+  "confide",
+  "confine",
+  "confirm",
+  "conform",
+  "confuse",
+  "congeal",
+  "congest",
+  "conical",
+  "conifer",
+  "conjure",
+  "connect",
+  "conning",
+  "connote",
+  "conquer",
+  "consent",
+  "consign",
+  "consist",
+  "console",
+  "consort",
+  "consuls",
+  "consult",
+  "consume",
+  "contact",
+  "contain",
+  "contend",
+  "content",
+  "contest",
+  "context",
+  "contort",
+  "contour",
+  "control",
+  "convene",
+  "convent",
+  "convert",
+  "conveys",
+  "convict",
+  "convoys",
+  "cookies",
+  "cooking",
+  "coolers",
+  "coolest",
+  "cooling",
+  "cooping",
+  "copiers",
+  "copious",
+  "coppers",
+  "copping",
+  "copying",
+  "cordial",
+  "cording",
+  "cordons",
+  "corking",
+  "corneas",
+  "corners",
+  "cornets",
+  "cornier",
+  "corning",
+  "coroner",
+  "corpses",
+  "corrals",
+  "correct",
+  "corrode",
+  "corrupt",
+  "corsage",
+  "corsets",
+  "costing",
+  "costume",
+  "cottage",
+  "cottons",
+  "couched",
+  "couches",
+  "cougars",
+  "coughed",
+  "council",
+  "counsel",
+  "counted",
+  "counter",
+  "country",
+  "coupled",
+  "couples",
+  "coupons",
+  "courage",
+  "courier",
+  "coursed",
+  "courser",
+  "courses",
+  "courted",
+  "cousins",
+  "covered",
+  "coverts",
+  "coveted",
+  "cowards",
+  "cowboys",
+  "cowered",
+  "cowgirl",
+  "cowhide",
+  "coyotes",
+  "coziest",
+  "crabbed",
+  "cracked",
+  "cracker",
+  "crackle",
+  "cradled",
+  "cradles",
+  "crafted",
+  "crammed",
+  "cramped",
+  "craning",
+  "cranium",
+  "cranked",
+  "crashed",
+  "crashes",
+  "crasser",
+  "craters",
+  "crating",
+  "craving",
+  "crawled",
+  "crayons",
+  "crazier",
+  "crazies",
+  "crazily",
+  "crazing",
+  "creaked",
+  "creamed",
+  "creased",
+  "creases",
+  "created",
+  "creates",
+  "creator",
+  "credits",
+  "cremate",
+  "crested",
+  "cretins",
+  "crevice",
+  "crewing",
+  "cribbed",
+  "cricket",
+  "crimson",
+  "cringed",
+  "cringes",
+  "crinkle",
+  "cripple",
+  "crisped",
+  "crisper",
+  "crisply",
+  "critics",
+  "croaked",
+  "crochet",
+  "cronies",
+  "crooked",
+  "crooned",
+  "cropped",
+  "croquet",
+  "crossed",
+  "crosser",
+  "crosses",
+  "crowbar",
+  "crowded",
+  "crowing",
+  "crowned",
+  "crucial",
+  "crucify",
+  "crudely",
+  "crudest",
+  "crudity",
+  "crueler",
+  "cruelly",
+  "cruelty",
+  "cruised",
+  "cruiser",
+  "cruises",
+  "crumbed",
+  "crumble",
+  "crumbly",
+  "crumple",
+  "crunchy",
+  "crusade",
+  "crushed",
+  "crushes",
+  "crusted",
+  "crybaby",
+  "cryptic",
+  "crystal",
+  "cubicle",
+  "cuckoos",
+  "cuddled",
+  "cuddles",
+  "cuffing",
+  "cuisine",
+  "culling",
+  "culprit",
+  "culture",
+  "cumming",
+  "cunning",
+  "cupfuls",
+  "cupping",
+  "curable",
+  "curator",
+  "curbing",
+  "curdled",
+  "curdles",
+  "curfews",
+  "curious",
+  "curling",
+  "currant",
+  "current",
+  "curried",
+  "curries",
+  "cursing",
+  "cursory",
+  "curtail",
+  "curtain",
+  "curtest",
+  "curving",
+  "cushion",
+  "custard",
+  "custody",
+  "customs",
+  "cutback",
+  "cuticle",
+  "cutlery",
+  "cutlets",
+  "cutters",
+  "cutting",
+  "cyanide",
+  "cycling",
+  "cyclist",
+  "cyclone",
+  "cymbals",
+  "cynical",
+  "cypress",
+  "dabbing",
+  "dabbled",
+  "dabbles",
+  "daddies",
+  "daggers",
+  "dailies",
+  "dairies",
+  "daisies",
+  "dallied",
+  "dallies",
+  "damaged",
+  "damages",
+  "damming",
+  "damning",
+  "dampens",
+  "dampest",
+  "damping",
+  "damsels",
+  "dancers",
+  "dancing",
+  "dandier",
+  "dandies",
+  "dangers",
+  "dangled",
+  "dangles",
+  "dankest",
+  "darkens",
+  "darkest",
+  "darling",
+  "darning",
+  "darting",
+  "dashing",
+  "daubing",
+  "daunted",
+  "dawdled",
+  "dawdles",
+  "dawning",
+  "daytime",
+  "dazzled",
+  "dazzles",
+  "deacons",
+  "deadens",
+  "deadest",
+  "deafest",
+  "dealers",
+  "dealing",
+  "dearest",
+  "dearths",
+  "debased",
+  "debases",
+  "debated",
+  "debates",
+  "debited",
+  "debrief",
+  "debtors",
+  "debunks",
+  "debuted",
+  "decades",
+  "decayed",
+  "decease",
+  "deceits",
+  "deceive",
+  "decency",
+  "decibel",
+  "decided",
+  "decides",
+  "decimal",
+  "decking",
+  "declare",
+  "decline",
+  "decoded",
+  "decoder",
+  "decodes",
+  "decorum",
+  "decoyed",
+  "decreed",
+  "decrees",
+  "decried",
+  "decries",
+  "deduced",
+  "deduces",
+  "deducts",
+  "deeding",
+  "deeming",
+  "deepens",
+  "deepest",
+  "defaced",
+  "defaces",
+  "defamed",
+  "defames",
+  "default",
+  "defeats",
+  "defects",
+  "defends",
+  "defense",
+  "defiant",
+  "deficit",
+  "defiled",
+  "defiles",
+  "defined",
+  "defines",
+  "deflate",
+  "deflect",
+  "deforms",
+  "defraud",
+  "defrost",
+  "deftest",
+  "defunct",
+  "defying",
+  "degrade",
+  "degrees",
+  "deified",
+  "deifies",
+  "deigned",
+  "deities",
+  "dejects",
+  "delayed",
+  "deleted",
+  "deletes",
+  "delight",
+  "delimit",
+  "deliver",
+  "deluded",
+  "deludes",
+  "deluged",
+  "deluges",
+  "delving",
+  "demands",
+  "demeans",
+  "demerit",
+  "demised",
+  "demises",
+  "demoted",
+  "demotes",
+  "demount",
+  "demurer",
+  "denials",
+  "denoted",
+  "denotes",
+  "densely",
+  "densest",
+  "density",
+  "denting",
+  "dentist",
+  "denying",
+  "departs",
+  "depends",
+  "depicts",
+  "deplete",
+  "deplore",
+  "deports",
+  "deposed",
+  "deposes",
+  "deposit",
+  "deprave",
+  "depress",
+  "deprive",
+  "derails",
+  "derange",
+  "derided",
+  "derides",
+  "derived",
+  "derives",
+  "derrick",
+  "descend",
+  "descent",
+  "deserts",
+  "deserve",
+  "designs",
+  "desired",
+  "desires",
+  "desists",
+  "desktop",
+  "despair",
+  "despise",
+  "despite",
+  "despots",
+  "dessert",
+  "destine",
+  "destiny",
+  "destroy",
+  "details",
+  "detains",
+  "detects",
+  "detests",
+  "detours",
+  "detract",
+  "devalue",
+  "develop",
+  "deviant",
+  "deviate",
+  "devices",
+  "deviled",
+  "devious",
+  "devised",
+  "devises",
+  "devolve",
+  "devoted",
+  "devotee",
+  "devotes",
+  "devours",
+  "diagram",
+  "dialect",
+  "dialing",
+  "diamond",
+  "diapers",
+  "diaries",
+  "dictate",
+  "diction",
+  "diesels",
+  "dietary",
+  "dieting",
+  "differs",
+  "diffuse",
+  "digests",
+  "digging",
+  "digital",
+  "dignify",
+  "dignity",
+  "digress",
+  "dilated",
+  "dilates",
+  "dilemma",
+  "diluted",
+  "dilutes",
+  "dimmest",
+  "dimming",
+  "dimpled",
+  "dimples",
+  "dingier",
+  "dinners",
+  "dinning",
+  "diocese",
+  "dioxide",
+  "diploma",
+  "dipping",
+  "directs",
+  "dirtied",
+  "dirtier",
+  "dirties",
+  "disable",
+  "disarms",
+  "disavow",
+  "disband",
+  "discard",
+  "discern",
+  "discord",
+  "discuss",
+  "disdain",
+  "disease",
+  "disgust",
+  "dishing",
+  "dislike",
+  "dismays",
+  "dismiss",
+  "disobey",
+  "disowns",
+  "dispels",
+  "display",
+  "dispose",
+  "dispute",
+  "disrupt",
+  "dissect",
+  "dissent",
+  "distant",
+  "distend",
+  "distill",
+  "distort",
+  "disturb",
+  "disused",
+  "disuses",
+  "ditched",
+  "ditches",
+  "dithers",
+  "ditties",
+  "dittoed",
+  "diverge",
+  "diverse",
+  "diverts",
+  "divests",
+  "divided",
+  "divides",
+  "divined",
+  "diviner",
+  "divines",
+  "divisor",
+  "divorce",
+  "divulge",
+  "dizzied",
+  "dizzier",
+  "dizzies",
+  "docking",
+  "doctors",
+  "dodging",
+  "dogging",
+  "dogwood",
+  "doilies",
+  "doleful",
+  "dollars",
+  "dollies",
+  "dolling",
+  "dolphin",
+  "domains",
+  "donated",
+  "donates",
+  "donkeys",
+  "doodled",
+  "doodles",
+  "dooming",
+  "doorman",
+  "doormen",
+  "doorway",
+  "dopiest",
+  "dormant",
+  "dotting",
+  "doubled",
+  "doubles",
+  "doubted",
+  "dourest",
+  "dousing",
+  "dowdier",
+  "dowdies",
+  "downier",
+  "downing",
+  "dowries",
+  "drabber",
+  "drafted",
+  "dragged",
+  "dragons",
+  "drained",
+  "drapery",
+  "draping",
+  "drastic",
+  "drawers",
+  "drawing",
+  "drawled",
+  "dreaded",
+  "dreamed",
+  "dreamer",
+  "dredged",
+  "dredges",
+  "dressed",
+  "dresser",
+  "dresses",
+  "dribble",
+  "drifted",
+  "drilled",
+  "drinker",
+  "dripped",
+  "drivels",
+  "drivers",
+  "driving",
+  "drizzle",
+  "droller",
+  "droning",
+  "drooled",
+  "drooped",
+  "dropout",
+  "dropped",
+  "drought",
+  "drowned",
+  "drowsed",
+  "drowses",
+  "drudged",
+  "drudges",
+  "drugged",
+  "drummed",
+  "drummer",
+  "drunken",
+  "drunker",
+  "dryness",
+  "dualism",
+  "dubbing",
+  "dubious",
+  "duchess",
+  "ducking",
+  "dueling",
+  "dugouts",
+  "dullest",
+  "dulling",
+  "dumbest",
+  "dummies",
+  "dumpier",
+  "dumping",
+  "dungeon",
+  "dunging",
+  "dunking",
+  "durable",
+  "duskier",
+  "dustbin",
+  "dustier",
+  "dusting",
+  "dustmen",
+  "dustpan",
+  "dutiful",
+  "dwarfed",
+  "dweller",
+  "dwindle",
+  "dynamic",
+  "dynamos",
+  "dynasty",
+  "eagerer",
+  "eagerly",
+  "earache",
+  "eardrum",
+  "earlier",
+  "earmark",
+  "earners",
+  "earnest",
+  "earning",
+  "earring",
+  "earshot",
+  "earthed",
+  "earthly",
+  "easiest",
+  "eastern",
+  "ebonies",
+  "echoing",
+  "eclipse",
+  "ecology",
+  "economy",
+  "ecstasy",
+  "eddying",
+  "edgiest",
+  "edibles",
+  "edifice",
+  "editing",
+  "edition",
+  "editors",
+  "educate",
+  "eeriest",
+  "effects",
+  "efforts",
+  "egotism",
+  "egotist",
+  "eighths",
+  "ejected",
+  "elapsed",
+  "elapses",
+  "elastic",
+  "elation",
+  "elbowed",
+  "elderly",
+  "elected",
+  "elector",
+  "elegant",
+  "elegies",
+  "element",
+  "elevate",
+  "elevens",
+  "elicits",
+  "elitism",
+  "elitist",
+  "ellipse",
+  "eloping",
+  "eluding",
+  "elusive",
+  "emailed",
+  "emanate",
+  "embalms",
+  "embargo",
+  "embarks",
+  "embassy",
+  "emblems",
+  "embrace",
+  "embryos",
+  "emerald",
+  "emerged",
+  "emerges",
+  "eminent",
+  "emitted",
+  "emotion",
+  "emotive",
+  "empathy",
+  "emperor",
+  "empires",
+  "employs",
+  "empower",
+  "empress",
+  "emptied",
+  "emptier",
+  "empties",
+  "emulate",
+  "enabled",
+  "enables",
+  "enacted",
+  "enamels",
+  "encased",
+  "encases",
+  "enchant",
+  "enclose",
+  "encoded",
+  "encodes",
+  "encored",
+  "encores",
+  "endears",
+  "endemic",
+  "endings",
+  "endives",
+  "endless",
+  "endorse",
+  "endowed",
+  "endured",
+  "endures",
+  "endways",
+  "enemies",
+  "enforce",
+  "engaged",
+  "engages",
+  "engines",
+  "engrave",
+  "engross",
+  "engulfs",
+  "enhance",
+  "enigmas",
+  "enjoyed",
+  "enlarge",
+  "enlists",
+  "enliven",
+  "enraged",
+  "enrages",
+  "enrolls",
+  "ensigns",
+  "enslave",
+  "ensuing",
+  "ensured",
+  "ensures",
+  "entails",
+  "entered",
+  "enticed",
+  "entices",
+  "entitle",
+  "entrant",
+  "entraps",
+  "entreat",
+  "entries",
+  "entropy",
+  "entrust",
+  "entwine",
+  "envelop",
+  "envious",
+  "envying",
+  "enzymes",
+  "epaulet",
+  "episode",
+  "epitaph",
+  "epithet",
+  "epitome",
+  "epsilon",
+  "equaled",
+  "equally",
+  "equated",
+  "equates",
+  "equator",
+  "equines",
+  "equinox",
+  "erasers",
+  "erasing",
+  "erasure",
+  "erected",
+  "eroding",
+  "erosion",
+  "errands",
+  "erratic",
+  "erudite",
+  "erupted",
+  "escaped",
+  "escapes",
+  "escorts",
+  "essayed",
+  "essence",
+  "estates",
+  "esteems",
+  "etching",
+  "eternal",
+  "ethical",
+  "ethnics",
+  "evading",
+  "evasion",
+  "evasive",
+  "evenest",
+  "evening",
+  "evicted",
+  "evident",
+  "evilest",
+  "evoking",
+  "evolved",
+  "evolves",
+  "exacted",
+  "exacter",
+  "exactly",
+  "exalted",
+  "examine",
+  "example",
+  "exceeds",
+  "excepts",
+  "excerpt",
+  "excised",
+  "excises",
+  "excited",
+  "excites",
+  "exclaim",
+  "exclude",
+  "excrete",
+  "excused",
+  "excuses",
+  "execute",
+  "exempts",
+  "exerted",
+  "exhaled",
+  "exhales",
+  "exhaust",
+  "exhibit",
+  "exhorts",
+  "exhumed",
+  "exhumes",
+  "exiling",
+  "existed",
+  "exiting",
+  "exotics",
+  "expands",
+  "expanse",
+  "expects",
+  "expends",
+  "expense",
+  "experts",
+  "expired",
+  "expires",
+  "explain",
+  "explode",
+  "exploit",
+  "explore",
+  "exports",
+  "exposed",
+  "exposes",
+  "expound",
+  "express",
+  "extends",
+  "extents",
+  "extinct",
+  "extorts",
+  "extract",
+  "extreme",
+  "exuding",
+  "exulted",
+  "eyeball",
+  "eyebrow",
+  "eyelash",
+  "eyelids",
+  "eyesore",
+  "fabrics",
+  "facades",
+  "faceted",
+  "facials",
+  "faction",
+  "factors",
+  "factory",
+  "factual",
+  "faculty",
+  "faggots",
+  "failing",
+  "failure",
+  "fainted",
+  "fainter",
+  "faintly",
+  "fairest",
+  "fairies",
+  "falcons",
+  "fallacy",
+  "falling",
+  "fallout",
+  "falsely",
+  "falsest",
+  "falsify",
+  "falsity",
+  "falters",
+  "famines",
+  "fanatic",
+  "fancied",
+  "fancier",
+  "fancies",
+  "fanfare",
+  "fanning",
+  "fantasy",
+  "faraway",
+  "farmers",
+  "farming",
+  "farther",
+  "fascism",
+  "fascist",
+  "fashion",
+  "fastens",
+  "fastest",
+  "fasting",
+  "fatally",
+  "fateful",
+  "fathers",
+  "fathoms",
+  "fatigue",
+  "fattens",
+  "fattest",
+  "fattier",
+  "fatties",
+  "fatuous",
+  "faucets",
+  "faulted",
+  "favored",
+  "fawning",
+  "fearful",
+  "fearing",
+  "feasted",
+  "feather",
+  "feature",
+  "federal",
+  "feebler",
+  "feeders",
+  "feeding",
+  "feelers",
+  "feeling",
+  "feigned",
+  "feinted",
+  "felines",
+  "fellest",
+  "felling",
+  "fellows",
+  "felting",
+  "females",
+  "fencing",
+  "fenders",
+  "fending",
+  "ferment",
+  "ferrets",
+  "ferried",
+  "ferries",
+  "fertile",
+  "fervent",
+  "festers",
+  "festive",
+  "festoon",
+  "fetched",
+  "fetches",
+  "fetters",
+  "fetuses",
+  "feuding",
+  "fibbers",
+  "fibbing",
+  "fickler",
+  "fiction",
+  "fiddled",
+  "fiddler",
+  "fiddles",
+  "fidgets",
+  "fidgety",
+  "fielded",
+  "fiercer",
+  "fierier",
+  "fiestas",
+  "fifteen",
+  "fifties",
+  "fighter",
+  "figment",
+  "figured",
+  "figures",
+  "filched",
+  "filches",
+  "fillets",
+  "fillies",
+  "filling",
+  "filmier",
+  "filming",
+  "filters",
+  "finales",
+  "finally",
+  "finance",
+  "finches",
+  "finding",
+  "finesse",
+  "fingers",
+  "finicky",
+  "firearm",
+  "firefly",
+  "fireman",
+  "firemen",
+  "firmest",
+  "firming",
+  "firstly",
+  "fiscals",
+  "fishery",
+  "fishier",
+  "fishing",
+  "fission",
+  "fissure",
+  "fitness",
+  "fittest",
+  "fitting",
+  "fixable",
+  "fixture",
+  "fizzing",
+  "fizzled",
+  "fizzles",
+  "flagged",
+  "flailed",
+  "flakier",
+  "flaking",
+  "flaming",
+  "flanked",
+  "flannel",
+  "flapped",
+  "flaring",
+  "flashed",
+  "flasher",
+  "flashes",
+  "flatted",
+  "flatten",
+  "flatter",
+  "flaunts",
+  "flavors",
+  "flawing",
+  "flecked",
+  "fledged",
+  "fleeced",
+  "fleeces",
+  "fleeing",
+  "fleeted",
+  "fleeter",
+  "fleshed",
+  "fleshes",
+  "flexing",
+  "flicked",
+  "flicker",
+  "flights",
+  "flighty",
+  "flipped",
+  "flipper",
+  "flirted",
+  "flitted",
+  "floated",
+  "flocked",
+  "flogged",
+  "flooded",
+  "flooder",
+  "floored",
+  "flopped",
+  "florist",
+  "flossed",
+  "flosses",
+  "flounce",
+  "floured",
+  "flouted",
+  "flowers",
+  "flowery",
+  "flowing",
+  "fluency",
+  "fluffed",
+  "flunked",
+  "flushed",
+  "flusher",
+  "flushes",
+  "fluster",
+  "fluting",
+  "flutist",
+  "flutter",
+  "fluxing",
+  "flyover",
+  "foaling",
+  "foamier",
+  "foaming",
+  "focused",
+  "focuses",
+  "fodders",
+  "foggier",
+  "fogging",
+  "foghorn",
+  "foibles",
+  "foiling",
+  "foisted",
+  "folders",
+  "folding",
+  "foliage",
+  "follies",
+  "follows",
+  "foments",
+  "fondest",
+  "fondled",
+  "fondles",
+  "fooling",
+  "foolish",
+  "footage",
+  "footing",
+  "foraged",
+  "forages",
+  "forayed",
+  "forbade",
+  "forbear",
+  "forbids",
+  "forbore",
+  "forceps",
+  "forcing",
+  "fording",
+  "forearm",
+  "foreign",
+  "foreleg",
+  "foreman",
+  "foremen",
+  "foresaw",
+  "foresee",
+  "forests",
+  "forever",
+  "forfeit",
+  "forgave",
+  "forgers",
+  "forgery",
+  "forgets",
+  "forging",
+  "forgive",
+  "forgoes",
+  "forgone",
+  "forking",
+  "forlorn",
+  "formals",
+  "formats",
+  "forming",
+  "formula",
+  "forsake",
+  "forsook",
+  "forties",
+  "fortify",
+  "fortune",
+  "forward",
+  "forwent",
+  "fossils",
+  "fosters",
+  "foulest",
+  "fouling",
+  "founded",
+  "founder",
+  "foundry",
+  "fourths",
+  "fowling",
+  "foxiest",
+  "fractal",
+  "fragile",
+  "frailer",
+  "frailty",
+  "framing",
+  "franked",
+  "franker",
+  "frankly",
+  "frantic",
+  "fraught",
+  "fraying",
+  "freaked",
+  "freckle",
+  "freedom",
+  "freeing",
+  "freeway",
+  "freezer",
+  "freezes",
+  "freight",
+  "freshen",
+  "fresher",
+  "freshly",
+  "fretful",
+  "fretted",
+  "friends",
+  "friezes",
+  "frigate",
+  "frights",
+  "fringed",
+  "fringes",
+  "frisked",
+  "fritter",
+  "frolics",
+  "frontal",
+  "fronted",
+  "frosted",
+  "frothed",
+  "frowned",
+  "fruited",
+  "fudging",
+  "fueling",
+  "fulcrum",
+  "fulfill",
+  "fullest",
+  "fulling",
+  "fumbled",
+  "fumbles",
+  "funding",
+  "funeral",
+  "funnels",
+  "funnest",
+  "funnier",
+  "funnies",
+  "funnily",
+  "furious",
+  "furling",
+  "furlong",
+  "furnace",
+  "furnish",
+  "furrier",
+  "furring",
+  "furrows",
+  "further",
+  "furtive",
+  "fussier",
+  "fussing",
+  "futures",
+  "fuzzier",
+  "fuzzing",
+  "gabbing",
+  "gadgets",
+  "gagging",
+  "gainful",
+  "gaining",
+  "gallant",
+  "gallery",
+  "galleys",
+  "galling",
+  "gallons",
+  "gallops",
+  "gallows",
+  "gambits",
+  "gambled",
+  "gambler",
+  "gambles",
+  "ganders",
+  "ganging",
+  "gangway",
+  "garaged",
+  "garages",
+  "garbage",
+  "garbing",
+  "garbled",
+  "garbles",
+  "gardens",
+  "gargled",
+  "gargles",
+  "garland",
+  "garment",
+  "garnets",
+  "garnish",
+  "garrets",
+  "garters",
+  "gaseous",
+  "gashing",
+  "gaskets",
+  "gasping",
+  "gassing",
+  "gastric",
+  "gateway",
+  "gathers",
+  "gaudier",
+  "gauging",
+  "gaunter",
+  "gawkier",
+  "gawking",
+  "gazelle",
+  "gazette",
+  "gearing",
+  "gelatin",
+  "gelding",
+  "genders",
+  "general",
+  "generic",
+  "geneses",
+  "genesis",
+  "genetic",
+  "genital",
+  "gentile",
+  "gentled",
+  "gentler",
+  "gentles",
+  "genuine",
+  "geology",
+  "gerbils",
+  "gesture",
+  "getaway",
+  "getting",
+  "geysers",
+  "ghastly",
+  "ghettos",
+  "ghosted",
+  "ghostly",
+  "gibbers",
+  "giddier",
+  "gifting",
+  "gigging",
+  "giggled",
+  "giggles",
+  "gilding",
+  "gimmick",
+  "gingham",
+  "ginning",
+  "giraffe",
+  "girders",
+  "girdled",
+  "girdles",
+  "girlish",
+  "gizzard",
+  "glacial",
+  "glacier",
+  "gladden",
+  "gladder",
+  "glamour",
+  "glanced",
+  "glances",
+  "glaring",
+  "glassed",
+  "glasses",
+  "glazing",
+  "gleamed",
+  "gleaned",
+  "glibber",
+  "gliders",
+  "gliding",
+  "glimmer",
+  "glimpse",
+  "glinted",
+  "glisten",
+  "glitter",
+  "gloated",
+  "globule",
+  "gloried",
+  "glories",
+  "glorify",
+  "glossed",
+  "glosses",
+  "gloving",
+  "glowers",
+  "glowing",
+  "glucose",
+  "glummer",
+  "glutted",
+  "glutton",
+  "gnarled",
+  "gnashed",
+  "gnashes",
+  "gnawing",
+  "goading",
+  "goalies",
+  "goatees",
+  "gobbing",
+  "gobbled",
+  "gobbles",
+  "goblets",
+  "goblins",
+  "goddess",
+  "godless",
+  "godlier",
+  "godlike",
+  "godsend",
+  "goggles",
+  "golfers",
+  "golfing",
+  "gondola",
+  "gonging",
+  "goodbye",
+  "goodies",
+  "goofier",
+  "goofing",
+  "gooiest",
+  "goosing",
+  "gophers",
+  "gorging",
+  "goriest",
+  "gorilla",
+  "gosling",
+  "gospels",
+  "gossips",
+  "gouging",
+  "goulash",
+  "gourmet",
+  "governs",
+  "gowning",
+  "grabbed",
+  "grabber",
+  "gracing",
+  "grading",
+  "gradual",
+  "grafted",
+  "grammar",
+  "grander",
+  "grandly",
+  "granite",
+  "granola",
+  "granted",
+  "granule",
+  "graphed",
+  "graphic",
+  "grapple",
+  "grasped",
+  "grassed",
+  "grasses",
+  "graters",
+  "gratify",
+  "grating",
+  "gravels",
+  "gravely",
+  "gravest",
+  "gravies",
+  "graving",
+  "gravity",
+  "grayest",
+  "graying",
+  "grazing",
+  "greased",
+  "greases",
+  "greater",
+  "greatly",
+  "greened",
+  "greener",
+  "greeted",
+  "gremlin",
+  "grenade",
+  "griddle",
+  "grieved",
+  "grieves",
+  "grilled",
+  "grilles",
+  "grimace",
+  "grimier",
+  "griming",
+  "grimmer",
+  "grinder",
+  "grinned",
+  "griping",
+  "gripped",
+  "gristle",
+  "gritted",
+  "grizzly",
+  "groaned",
+  "grocers",
+  "grocery",
+  "groomed",
+  "grooved",
+  "grooves",
+  "groping",
+  "grossed",
+  "grosser",
+  "grosses",
+  "grossly",
+  "grouchy",
+  "grounds",
+  "grouped",
+  "grouper",
+  "groused",
+  "grouses",
+  "grovels",
+  "growers",
+  "growing",
+  "growled",
+  "growths",
+  "grubbed",
+  "grudged",
+  "grudges",
+  "gruffer",
+  "gruffly",
+  "grumble",
+  "grunted",
+  "guarded",
+  "guessed",
+  "guesses",
+  "guested",
+  "guffaws",
+  "guiding",
+  "guitars",
+  "gulches",
+  "gullets",
+  "gullies",
+  "gulling",
+  "gulping",
+  "gumdrop",
+  "gummier",
+  "gumming",
+  "gunfire",
+  "gunners",
+  "gunning",
+  "gunshot",
+  "guppies",
+  "gurgled",
+  "gurgles",
+  "gushers",
+  "gushing",
+  "gustier",
+  "gusting",
+  "gutters",
+  "gutting",
+  "guzzled",
+  "guzzles",
+  "gymnast",
+  "gyrated",
+  "gyrates",
+  "habitat",
+  "hackers",
+  "hacking",
+  "hackney",
+  "hacksaw",
+  "haddock",
+  "haggard",
+  "haggled",
+  "haggles",
+  "hailing",
+  "haircut",
+  "hairdos",
+  "hairier",
+  "halfway",
+  "halibut",
+  "hallway",
+  "haloing",
+  "halters",
+  "halting",
+  "halving",
+  "hamlets",
+  "hammers",
+  "hamming",
+  "hammock",
+  "hampers",
+  "hamster",
+  "handbag",
+  "handful",
+  "handier",
+  "handing",
+  "handled",
+  "handler",
+  "handles",
+  "handout",
+  "hangars",
+  "hangers",
+  "hanging",
+  "hangout",
+  "hankers",
+  "hapless",
+  "happens",
+  "happier",
+  "happily",
+  "harbors",
+  "hardens",
+  "hardest",
+  "hardier",
+  "harking",
+  "harlots",
+  "harmful",
+  "harming",
+  "harmony",
+  "harness",
+  "harping",
+  "harpist",
+  "harpoon",
+  "harried",
+  "harries",
+  "harrows",
+  "harsher",
+  "harshly",
+  "harvest",
+  "hashing",
+  "hassled",
+  "hassles",
+  "hastens",
+  "hastier",
+  "hastily",
+  "hasting",
+  "hatched",
+  "hatches",
+  "hatchet",
+  "hateful",
+  "hatreds",
+  "hatting",
+  "haughty",
+  "hauling",
+  "haunted",
+  "hawking",
+  "haywire",
+  "hazards",
+  "haziest",
+  "headers",
+  "headier",
+  "heading",
+  "headway",
+  "healers",
+  "healing",
+  "healthy",
+  "heaping",
+  "hearing",
+  "hearsay",
+  "hearses",
+  "hearten",
+  "hearths",
+  "heaters",
+  "heathen",
+  "heather",
+  "heating",
+  "heavens",
+  "heavier",
+  "heavies",
+  "heavily",
+  "heaving",
+  "heckled",
+  "heckler",
+  "heckles",
+  "hedging",
+  "heeding",
+  "heeling",
+  "heftier",
+  "heifers",
+  "heights",
+  "heinous",
+  "hellish",
+  "helmets",
+  "helpers",
+  "helpful",
+  "helping",
+  "hemlock",
+  "hemming",
+  "heralds",
+  "herding",
+  "heretic",
+  "hermits",
+  "hernias",
+  "heroine",
+  "heroins",
+  "heroism",
+  "herring",
+  "herself",
+  "hexagon",
+  "heydays",
+  "hiccups",
+  "hickory",
+  "hideous",
+  "highest",
+  "highway",
+  "hijacks",
+  "hillier",
+  "himself",
+  "hinders",
+  "hinging",
+  "hinting",
+  "hippest",
+  "hippies",
+  "hipping",
+  "hissing",
+  "history",
+  "hitched",
+  "hitches",
+  "hitting",
+  "hoarded",
+  "hoarder",
+  "hoarser",
+  "hoaxing",
+  "hobbies",
+  "hobbled",
+  "hobbles",
+  "hobnobs",
+  "hocking",
+  "hogging",
+  "hoisted",
+  "holders",
+  "holding",
+  "holdups",
+  "holiday",
+  "holiest",
+  "hollers",
+  "hollies",
+  "hollows",
+  "holster",
+  "homages",
+  "homiest",
+  "homonym",
+  "honesty",
+  "honeyed",
+  "honking",
+  "honored",
+  "hooding",
+  "hoodlum",
+  "hoofing",
+  "hooking",
+  "hooping",
+  "hooting",
+  "hopeful",
+  "hopping",
+  "hording",
+  "horizon",
+  "hormone",
+  "hornets",
+  "hornier",
+  "horrify",
+  "horrors",
+  "horsing",
+  "hosiery",
+  "hostage",
+  "hostels",
+  "hostess",
+  "hostile",
+  "hosting",
+  "hotbeds",
+  "hothead",
+  "hottest",
+  "hounded",
+  "housing",
+  "hovered",
+  "however",
+  "howling",
+  "hubbubs",
+  "huddled",
+  "huddles",
+  "huffier",
+  "huffing",
+  "hugging",
+  "hulking",
+  "hulling",
+  "humaner",
+  "humanly",
+  "humbled",
+  "humbler",
+  "humbles",
+  "humdrum",
+  "humming",
+  "humored",
+  "humping",
+  "hunched",
+  "hunches",
+  "hundred",
+  "hungers",
+  "hunters",
+  "hunting",
+  "hurdled",
+  "hurdles",
+  "hurling",
+  "hurrahs",
+  "hurried",
+  "hurries",
+  "hurtful",
+  "hurting",
+  "hurtled",
+  "hurtles",
+  "husband",
+  "hushing",
+  "huskier",
+  "huskies",
+  "huskily",
+  "husking",
+  "hustled",
+  "hustler",
+  "hustles",
+  "hutches",
+  "hybrids",
+  "hydrant",
+  "hygiene",
+  "hymnals",
+  "hymning",
+  "hyphens",
+  "iceberg",
+  "icicles",
+  "ideally",
+  "idiotic",
+  "idolize",
+  "idyllic",
+  "ignited",
+  "ignites",
+  "ignored",
+  "ignores",
+  "iguanas",
+  "illegal",
+  "illicit",
+  "illness",
+  "imagery",
+  "imagine",
+  "imaging",
+  "imitate",
+  "immense",
+  "immerse",
+  "immoral",
+  "impacts",
+  "impairs",
+  "impaled",
+  "impales",
+  "imparts",
+  "impasse",
+  "impeach",
+  "impeded",
+  "impedes",
+  "impends",
+  "imperil",
+  "impetus",
+  "impinge",
+  "implant",
+  "implied",
+  "implies",
+  "implore",
+  "imports",
+  "imposed",
+  "imposes",
+  "impound",
+  "impress",
+  "imprint",
+  "improve",
+  "impulse",
+  "impurer",
+  "inanest",
+  "inbreed",
+  "inbuilt",
+  "incense",
+  "inching",
+  "incisor",
+  "incited",
+  "incites",
+  "incline",
+  "include",
+  "incomes",
+  "indents",
+  "indexed",
+  "indexes",
+  "indices",
+  "indicts",
+  "indoors",
+  "induced",
+  "induces",
+  "inducts",
+  "indulge",
+  "inertia",
+  "inexact",
+  "infancy",
+  "infants",
+  "infects",
+  "inferno",
+  "infests",
+  "infidel",
+  "infield",
+  "inflame",
+  "inflate",
+  "inflict",
+  "informs",
+  "infused",
+  "infuses",
+  "ingests",
+  "ingrain",
+  "inhabit",
+  "inhaled",
+  "inhaler",
+  "inhales",
+  "inherit",
+  "inhibit",
+  "inhuman",
+  "initial",
+  "injects",
+  "injured",
+  "injures",
+  "inkiest",
+  "inkling",
+  "inmates",
+  "innards",
+  "innings",
+  "inquest",
+  "inquire",
+  "inquiry",
+  "insaner",
+  "insects",
+  "inserts",
+  "insider",
+  "insides",
+  "insight",
+  "insipid",
+  "insists",
+  "insofar",
+  "inspect",
+  "inspire",
+  "install",
+  "instant",
+  "instead",
+  "insteps",
+  "instill",
+  "insular",
+  "insulin",
+  "insults",
+  "insured",
+  "insurer",
+  "insures",
+  "intakes",
+  "integer",
+  "intends",
+  "intense",
+  "intents",
+  "interim",
+  "interns",
+  "intrude",
+  "invaded",
+  "invader",
+  "invades",
+  "invalid",
+  "invents",
+  "inverse",
+  "inverts",
+  "invests",
+  "invited",
+  "invites",
+  "invoice",
+  "invoked",
+  "invokes",
+  "involve",
+  "inwards",
+  "ironies",
+  "ironing",
+  "islands",
+  "isolate",
+  "issuing",
+  "isthmus",
+  "italics",
+  "itchier",
+  "itching",
+  "itemize",
+  "iterate",
+  "ivories",
+  "jabbers",
+  "jabbing",
+  "jackals",
+  "jackass",
+  "jackdaw",
+  "jackets",
+  "jacking",
+  "jackpot",
+  "jaguars",
+  "jailers",
+  "jailing",
+  "jamming",
+  "jangled",
+  "jangles",
+  "janitor",
+  "jarring",
+  "jaunted",
+  "javelin",
+  "jawbone",
+  "jaywalk",
+  "jazzing",
+  "jealous",
+  "jeering",
+  "jellied",
+  "jellies",
+  "jelling",
+  "jerkier",
+  "jerking",
+  "jerseys",
+  "jesters",
+  "jesting",
+  "jetties",
+  "jetting",
+  "jeweled",
+  "jeweler",
+  "jewelry",
+  "jiffies",
+  "jigging",
+  "jiggled",
+  "jiggles",
+  "jigsaws",
+  "jilting",
+  "jingled",
+  "jingles",
+  "jinxing",
+  "jitters",
+  "jittery",
+  "jobbing",
+  "jockeys",
+  "jocular",
+  "joggers",
+  "jogging",
+  "joining",
+  "jointed",
+  "jointly",
+  "jollied",
+  "jollier",
+  "jollies",
+  "jolting",
+  "jostled",
+  "jostles",
+  "jotting",
+  "journal",
+  "journey",
+  "jubilee",
+  "judging",
+  "jugging",
+  "juggled",
+  "juggler",
+  "juggles",
+  "jugular",
+  "juicier",
+  "juicing",
+  "jumbled",
+  "jumbles",
+  "jumpers",
+  "jumpier",
+  "jumping",
+  "jungles",
+  "juniors",
+  "juniper",
+  "junkets",
+  "junkies",
+  "junking",
+  "justest",
+  "justice",
+  "justify",
+  "jutting",
+  "kayaked",
+  "keeling",
+  "keenest",
+  "keening",
+  "keepers",
+  "keeping",
+  "kennels",
+  "kernels",
+  "ketchup",
+  "kettles",
+  "keyhole",
+  "keynote",
+  "keyword",
+  "kicking",
+  "kickoff",
+  "kidding",
+  "kidnaps",
+  "kidneys",
+  "killers",
+  "killing",
+  "kilning",
+  "kimonos",
+  "kindest",
+  "kindled",
+  "kindles",
+  "kindred",
+  "kinfolk",
+  "kingdom",
+  "kinkier",
+  "kinking",
+  "kinship",
+  "kissing",
+  "kitchen",
+  "kittens",
+  "kitties",
+  "knacker",
+  "kneaded",
+  "kneecap",
+  "kneeing",
+  "knifing",
+  "knights",
+  "knitted",
+  "knocked",
+  "knocker",
+  "knotted",
+  "knowing",
+  "knuckle",
+  "koshers",
+  "kowtows",
+  "labeled",
+  "labored",
+  "laborer",
+  "laciest",
+  "lacking",
+  "lacquer",
+  "ladders",
+  "ladling",
+  "ladybug",
+  "laggard",
+  "lagging",
+  "lagoons",
+  "lambing",
+  "laments",
+  "lampoon",
+  "lancing",
+  "landing",
+  "languid",
+  "languor",
+  "lankier",
+  "lantern",
+  "lapping",
+  "lapsing",
+  "larceny",
+  "larding",
+  "largely",
+  "largest",
+  "larking",
+  "lashing",
+  "lasting",
+  "latched",
+  "latches",
+  "lateral",
+  "lathers",
+  "lathing",
+  "latrine",
+  "lattice",
+  "lauding",
+  "laughed",
+  "launder",
+  "laundry",
+  "laurels",
+  "lawless",
+  "lawsuit",
+  "lawyers",
+  "layered",
+  "layouts",
+  "laziest",
+  "lazying",
+  "leaders",
+  "leading",
+  "leafier",
+  "leafing",
+  "leaflet",
+  "leagued",
+  "leagues",
+  "leakage",
+  "leaking",
+  "leanest",
+  "leaning",
+  "leaping",
+  "learned",
+  "leashed",
+  "leashes",
+  "leasing",
+  "leather",
+  "leaving",
+  "lectern",
+  "lecture",
+  "ledgers",
+  "leeched",
+  "leeches",
+  "leerier",
+  "leering",
+  "leftest",
+  "legally",
+  "legends",
+  "legging",
+  "legible",
+  "legibly",
+  "legions",
+  "legumes",
+  "leisure",
+  "lending",
+  "lengths",
+  "lengthy",
+  "lenient",
+  "lentils",
+  "leopard",
+  "leotard",
+  "leprosy",
+  "lesbian",
+  "lesions",
+  "lessens",
+  "lessons",
+  "letdown",
+  "letters",
+  "letting",
+  "lettuce",
+  "leveled",
+  "levered",
+  "levying",
+  "lewdest",
+  "lexical",
+  "lexicon",
+  "liaison",
+  "libeled",
+  "liberal",
+  "liberty",
+  "library",
+  "license",
+  "lichens",
+  "licking",
+  "lifting",
+  "lighted",
+  "lighten",
+  "lighter",
+  "lightly",
+  "likable",
+  "likened",
+  "lilting",
+  "limbers",
+  "limited",
+  "limpest",
+  "limping",
+  "lineage",
+  "lingers",
+  "lingoes",
+  "linings",
+  "linkage",
+  "linking",
+  "lioness",
+  "liquefy",
+  "liqueur",
+  "liquids",
+  "liquors",
+  "lisping",
+  "listens",
+  "listing",
+  "literal",
+  "lithest",
+  "lithium",
+  "litters",
+  "littler",
+  "liturgy",
+  "livable",
+  "livened",
+  "livings",
+  "lizards",
+  "loading",
+  "loafers",
+  "loafing",
+  "loaning",
+  "loathed",
+  "loathes",
+  "lobbied",
+  "lobbies",
+  "lobbing",
+  "lobster",
+  "locales",
+  "locally",
+  "located",
+  "locates",
+  "lockers",
+  "lockets",
+  "locking",
+  "locusts",
+  "lodgers",
+  "lodging",
+  "loftier",
+  "lofting",
+  "logging",
+  "logical",
+  "loiters",
+  "lolling",
+  "longest",
+  "longing",
+  "longish",
+  "looking",
+  "lookout",
+  "looming",
+  "loonier",
+  "loonies",
+  "looping",
+  "loosely",
+  "loosens",
+  "loosest",
+  "loosing",
+  "looting",
+  "lopping",
+  "lording",
+  "lorries",
+  "lotions",
+  "lottery",
+  "lotuses",
+  "loudest",
+  "lounged",
+  "lounges",
+  "lousier",
+  "lovable",
+  "lowdown",
+  "lowered",
+  "lowlier",
+  "loyaler",
+  "loyalty",
+  "lozenge",
+  "luckier",
+  "luckily",
+  "lucking",
+  "luggage",
+  "lugging",
+  "lullaby",
+  "lulling",
+  "lumbers",
+  "lumpier",
+  "lumping",
+  "lunatic",
+  "lunched",
+  "lunches",
+  "lunging",
+  "lupines",
+  "lurched",
+  "lurches",
+  "lurking",
+  "lushest",
+  "lustier",
+  "lusting",
+  "lynched",
+  "lynches",
+  "lyrical",
+  "macabre",
+  "machete",
+  "machine",
+  "madcaps",
+  "maddens",
+  "maddest",
+  "madness",
+  "magenta",
+  "maggots",
+  "magical",
+  "magnate",
+  "magnets",
+  "magnify",
+  "magpies",
+  "maidens",
+  "mailbox",
+  "mailing",
+  "mailman",
+  "mailmen",
+  "maiming",
+  "majesty",
+  "majored",
+  "makeups",
+  "malaria",
+  "maligns",
+  "mallard",
+  "mallets",
+  "malting",
+  "mammals",
+  "mammoth",
+  "manacle",
+  "managed",
+  "manager",
+  "manages",
+  "mandate",
+  "mangers",
+  "mangier",
+  "mangled",
+  "mangles",
+  "mangoes",
+  "manhole",
+  "manhood",
+  "maniacs",
+  "mankind",
+  "manlier",
+  "manners",
+  "manning",
+  "mannish",
+  "mansion",
+  "mantels",
+  "mantled",
+  "mantles",
+  "manuals",
+  "manured",
+  "manures",
+  "mapping",
+  "marbled",
+  "marbles",
+  "marched",
+  "marcher",
+  "marches",
+  "margins",
+  "marinas",
+  "mariner",
+  "marines",
+  "marital",
+  "markers",
+  "markets",
+  "marking",
+  "maroons",
+  "marquee",
+  "married",
+  "marries",
+  "marring",
+  "marrows",
+  "marshal",
+  "marshes",
+  "martial",
+  "martyrs",
+  "marvels",
+  "mascara",
+  "mascots",
+  "mashing",
+  "masking",
+  "masonry",
+  "massage",
+  "massing",
+  "massive",
+  "masters",
+  "mastery",
+  "matador",
+  "matched",
+  "matches",
+  "matrons",
+  "matters",
+  "matting",
+  "matured",
+  "maturer",
+  "matures",
+  "maudlin",
+  "mauling",
+  "maximal",
+  "maximum",
+  "meadows",
+  "mealier",
+  "meander",
+  "meanest",
+  "meaning",
+  "measles",
+  "measure",
+  "meddled",
+  "meddler",
+  "meddles",
+  "mediate",
+  "medical",
+  "mediums",
+  "medleys",
+  "meekest",
+  "meeting",
+  "megaton",
+  "mellows",
+  "melodic",
+  "melting",
+  "members",
+  "memento",
+  "memoirs",
+  "menaced",
+  "menaces",
+  "mending",
+  "menials",
+  "menthol",
+  "mention",
+  "mentors",
+  "meowing",
+  "mercies",
+  "mercury",
+  "mergers",
+  "merging",
+  "merited",
+  "mermaid",
+  "merrier",
+  "merrily",
+  "meshing",
+  "message",
+  "messier",
+  "messing",
+  "meteors",
+  "metered",
+  "methods",
+  "microbe",
+  "middles",
+  "midgets",
+  "midriff",
+  "midways",
+  "midwife",
+  "migrant",
+  "migrate",
+  "mildest",
+  "mildews",
+  "mileage",
+  "militia",
+  "milkier",
+  "milking",
+  "milkman",
+  "milkmen",
+  "millers",
+  "milling",
+  "million",
+  "mimicry",
+  "mincing",
+  "mindful",
+  "minding",
+  "mineral",
+  "mingled",
+  "mingles",
+  "minibus",
+  "minimal",
+  "minimum",
+  "minions",
+  "minnows",
+  "minored",
+  "minting",
+  "minuets",
+  "minuses",
+  "minuted",
+  "minuter",
+  "minutes",
+  "miracle",
+  "mirages",
+  "mirrors",
+  "misdeed",
+  "miserly",
+  "misfits",
+  "mishaps",
+  "mislaid",
+  "mislays",
+  "mislead",
+  "misread",
+  "missile",
+  "missing",
+  "mission",
+  "missive",
+  "mistake",
+  "mistier",
+  "misting",
+  "mistook",
+  "mistype",
+  "misused",
+  "misuses",
+  "mittens",
+  "mixture",
+  "moaning",
+  "mobbing",
+  "mobiles",
+  "mockery",
+  "mocking",
+  "modeled",
+  "moderns",
+  "modesty",
+  "modicum",
+  "modular",
+  "modules",
+  "moisten",
+  "moister",
+  "moldier",
+  "molding",
+  "molests",
+  "mollify",
+  "mollusk",
+  "molting",
+  "moments",
+  "monarch",
+  "mongrel",
+  "monitor",
+  "monkeys",
+  "monsoon",
+  "monster",
+  "monthly",
+  "moodier",
+  "moodily",
+  "mooning",
+  "mooring",
+  "mooting",
+  "mopping",
+  "morally",
+  "morgues",
+  "morning",
+  "moronic",
+  "morsels",
+  "mortals",
+  "mortars",
+  "mortify",
+  "mosaics",
+  "mosques",
+  "mossier",
+  "mothers",
+  "motions",
+  "motives",
+  "motleys",
+  "motlier",
+  "motored",
+  "mottoes",
+  "mounded",
+  "mounted",
+  "mourned",
+  "mourner",
+  "mousier",
+  "mousing",
+  "moussed",
+  "mousses",
+  "mouthed",
+  "movable",
+  "mucking",
+  "muddied",
+  "muddier",
+  "muddies",
+  "muddled",
+  "muddles",
+  "muffing",
+  "muffins",
+  "muffled",
+  "muffler",
+  "muffles",
+  "muggers",
+  "muggier",
+  "mugging",
+  "mulched",
+  "mulches",
+  "mulling",
+  "mumbled",
+  "mumbles",
+  "mummies",
+  "mummify",
+  "munched",
+  "munches",
+  "mundane",
+  "murders",
+  "murkier",
+  "murmurs",
+  "muscled",
+  "muscles",
+  "museums",
+  "mushier",
+  "mushing",
+  "musical",
+  "muskets",
+  "mussels",
+  "mussing",
+  "mustang",
+  "mustard",
+  "musters",
+  "mustier",
+  "mutants",
+  "mutated",
+  "mutates",
+  "mutters",
+  "muzzled",
+  "muzzles",
+  "myriads",
+  "mystery",
+  "mystics",
+  "mystify",
+  "nabbing",
+  "nagging",
+  "nailing",
+  "naively",
+  "naivest",
+  "naivety",
+  "napalms",
+  "napkins",
+  "nappies",
+  "napping",
+  "narrate",
+  "narrows",
+  "nastier",
+  "nastily",
+  "nations",
+  "natives",
+  "nattier",
+  "natural",
+  "natures",
+  "naughts",
+  "naughty",
+  "nearest",
+  "nearing",
+  "neatest",
+  "nebulae",
+  "necking",
+  "necktie",
+  "needier",
+  "needing",
+  "needled",
+  "needles",
+  "negated",
+  "negates",
+  "neglect",
+  "neighed",
+  "neither",
+  "nephews",
+  "nerving",
+  "nervous",
+  "nesting",
+  "nestled",
+  "nestles",
+  "netting",
+  "nettled",
+  "nettles",
+  "network",
+  "neurons",
+  "neuters",
+  "neutral",
+  "neutron",
+  "newbies",
+  "newborn",
+  "newsier",
+  "nibbled",
+  "nibbles",
+  "nickels",
+  "nicking",
+  "niftier",
+  "nightly",
+  "nimbler",
+  "ninnies",
+  "nippier",
+  "nipping",
+  "nipples",
+  "nitrate",
+  "nitwits",
+  "noblest",
+  "nodding",
+  "noisier",
+  "noisily",
+  "noising",
+  "nomadic",
+  "nominal",
+  "nominee",
+  "nonstop",
+  "noodled",
+  "noodles",
+  "nosiest",
+  "nostril",
+  "notable",
+  "notably",
+  "notched",
+  "notches",
+  "nothing",
+  "noticed",
+  "notices",
+  "notions",
+  "nougats",
+  "nourish",
+  "novelty",
+  "novices",
+  "nowhere",
+  "noxious",
+  "nozzles",
+  "nuances",
+  "nuclear",
+  "nucleus",
+  "nudging",
+  "nuggets",
+  "nullify",
+  "numbers",
+  "numbest",
+  "numbing",
+  "numeral",
+  "numeric",
+  "nuptial",
+  "nursery",
+  "nursing",
+  "nurture",
+  "nutmegs",
+  "nuttier",
+  "nutting",
+  "nuzzled",
+  "nuzzles",
+  "oatmeal",
+  "obelisk",
+  "obesity",
+  "obeying",
+  "objects",
+  "obliged",
+  "obliges",
+  "oblique",
+  "oblongs",
+  "obscene",
+  "obscure",
+  "observe",
+  "obtains",
+  "obtuser",
+  "obvious",
+  "oceanic",
+  "octagon",
+  "octaves",
+  "octopus",
+  "oculars",
+  "offbeat",
+  "offends",
+  "offense",
+  "offered",
+  "offhand",
+  "officer",
+  "offices",
+  "offings",
+  "offload",
+  "offsets",
+  "oftener",
+  "oiliest",
+  "okaying",
+  "omelets",
+  "ominous",
+  "omitted",
+  "omnibus",
+  "onerous",
+  "oneself",
+  "ongoing",
+  "opaqued",
+  "opaquer",
+  "opaques",
+  "openers",
+  "openest",
+  "opening",
+  "operand",
+  "operate",
+  "opinion",
+  "opossum",
+  "opposed",
+  "opposes",
+  "oppress",
+  "optical",
+  "optimal",
+  "optimum",
+  "options",
+  "opulent",
+  "oracles",
+  "oranges",
+  "oration",
+  "orators",
+  "oratory",
+  "orbital",
+  "orbited",
+  "orchard",
+  "orchids",
+  "ordains",
+  "ordeals",
+  "ordered",
+  "orderly",
+  "organic",
+  "orients",
+  "orifice",
+  "origins",
+  "orphans",
+  "osmosis",
+  "ostrich",
+  "ousters",
+  "ousting",
+  "outcast",
+  "outcome",
+  "outdoes",
+  "outdone",
+  "outdoor",
+  "outfits",
+  "outgrew",
+  "outgrow",
+  "outings",
+  "outlaid",
+  "outlast",
+  "outlaws",
+  "outlays",
+  "outlets",
+  "outline",
+  "outlive",
+  "outlook",
+  "outpost",
+  "outputs",
+  "outrage",
+  "outruns",
+  "outsets",
+  "outside",
+  "outward",
+  "outwits",
+  "ovaries",
+  "ovation",
+  "overall",
+  "overate",
+  "overdid",
+  "overdue",
+  "overeat",
+  "overlap",
+  "overlay",
+  "overlie",
+  "overran",
+  "overrun",
+  "oversaw",
+  "oversee",
+  "overtly",
+  "overuse",
+  "oxidize",
+  "oysters",
+  "pacific",
+  "package",
+  "packers",
+  "packets",
+  "packing",
+  "paddies",
+  "padding",
+  "paddled",
+  "paddles",
+  "paddock",
+  "padlock",
+  "pageant",
+  "pagodas",
+  "painful",
+  "paining",
+  "painted",
+  "painter",
+  "pairing",
+  "pajamas",
+  "palaces",
+  "palates",
+  "palette",
+  "palling",
+  "palming",
+  "pampers",
+  "panacea",
+  "pancake",
+  "panders",
+  "paneled",
+  "panicky",
+  "panning",
+  "pansies",
+  "panther",
+  "panties",
+  "panting",
+  "papayas",
+  "papered",
+  "paprika",
+  "papyrus",
+  "parable",
+  "paraded",
+  "parades",
+  "paradox",
+  "paragon",
+  "parasol",
+  "parcels",
+  "parched",
+  "parches",
+  "pardons",
+  "parents",
+  "parking",
+  "parkway",
+  "parlors",
+  "paroled",
+  "paroles",
+  "parring",
+  "parrots",
+  "parsecs",
+  "parsing",
+  "parsley",
+  "parsnip",
+  "parsons",
+  "partake",
+  "partial",
+  "partied",
+  "parties",
+  "parting",
+  "partner",
+  "partook",
+  "passage",
+  "passing",
+  "passion",
+  "passive",
+  "pastels",
+  "pastier",
+  "pasties",
+  "pastime",
+  "pasting",
+  "pastors",
+  "pasture",
+  "patched",
+  "patches",
+  "patents",
+  "pathway",
+  "patient",
+  "patriot",
+  "patrols",
+  "patrons",
+  "pattern",
+  "patters",
+  "patties",
+  "patting",
+  "paucity",
+  "paunchy",
+  "paupers",
+  "pausing",
+  "pawning",
+  "payable",
+  "payload",
+  "payment",
+  "payoffs",
+  "payroll",
+  "peaches",
+  "peacock",
+  "peaking",
+  "pealing",
+  "peanuts",
+  "pearled",
+  "peasant",
+  "pebbled",
+  "pebbles",
+  "pecking",
+  "pedaled",
+  "pedants",
+  "peddled",
+  "peddler",
+  "peddles",
+  "peeking",
+  "peeling",
+  "peeping",
+  "peering",
+  "peeving",
+  "peevish",
+  "pegging",
+  "pelican",
+  "pellets",
+  "pelting",
+  "penalty",
+  "penance",
+  "pencils",
+  "pendant",
+  "pending",
+  "penguin",
+  "penises",
+  "pennant",
+  "pennies",
+  "penning",
+  "pension",
+  "pensive",
+  "peonies",
+  "peopled",
+  "peoples",
+  "peppers",
+  "pepping",
+  "percent",
+  "perched",
+  "perches",
+  "perfect",
+  "perform",
+  "perfume",
+  "perhaps",
+  "periled",
+  "periods",
+  "perjure",
+  "perjury",
+  "perkier",
+  "perking",
+  "permits",
+  "perplex",
+  "persist",
+  "persona",
+  "persons",
+  "pertain",
+  "pertest",
+  "perturb",
+  "perusal",
+  "perused",
+  "peruses",
+  "pervade",
+  "pervert",
+  "peskier",
+  "pesters",
+  "petered",
+  "petites",
+  "petrify",
+  "pettier",
+  "petting",
+  "petunia",
+  "pewters",
+  "phantom",
+  "phasing",
+  "phobias",
+  "phoenix",
+  "phonics",
+  "phonied",
+  "phonier",
+  "phonies",
+  "phoning",
+  "photoed",
+  "photons",
+  "phrased",
+  "phrases",
+  "physics",
+  "pianist",
+  "piccolo",
+  "pickets",
+  "pickier",
+  "picking",
+  "pickled",
+  "pickles",
+  "pickups",
+  "picnics",
+  "picture",
+  "piddled",
+  "piddles",
+  "piecing",
+  "pierced",
+  "pierces",
+  "pigeons",
+  "pigging",
+  "piggish",
+  "pigment",
+  "pigpens",
+  "pigtail",
+  "pilfers",
+  "pilgrim",
+  "pillage",
+  "pillars",
+  "pilling",
+  "pillows",
+  "piloted",
+  "pimples",
+  "pinched",
+  "pinches",
+  "pinions",
+  "pinkest",
+  "pinking",
+  "pinning",
+  "pioneer",
+  "piquing",
+  "piranha",
+  "pirated",
+  "pirates",
+  "pistols",
+  "pistons",
+  "pitched",
+  "pitcher",
+  "pitches",
+  "piteous",
+  "pitfall",
+  "pithier",
+  "pitiful",
+  "pitting",
+  "pitying",
+  "pivotal",
+  "pivoted",
+  "placard",
+  "placate",
+  "placing",
+  "plagued",
+  "plagues",
+  "plainer",
+  "plainly",
+  "planets",
+  "planing",
+  "planked",
+  "planned",
+  "planner",
+  "planted",
+  "planter",
+  "plaques",
+  "plaster",
+  "plastic",
+  "plateau",
+  "plating",
+  "platoon",
+  "platter",
+  "players",
+  "playful",
+  "playing",
+  "playpen",
+  "pleaded",
+  "pleased",
+  "pleases",
+  "pleated",
+  "pledged",
+  "pledges",
+  "pliable",
+  "plights",
+  "plodded",
+  "plopped",
+  "plotted",
+  "plotter",
+  "plowing",
+  "plucked",
+  "plugged",
+  "plumage",
+  "plumbed",
+  "plumber",
+  "pluming",
+  "plummet",
+  "plumped",
+  "plumper",
+  "plunder",
+  "plunged",
+  "plunger",
+  "plunges",
+  "plurals",
+  "plusher",
+  "plywood",
+  "poached",
+  "poacher",
+  "poaches",
+  "pockets",
+  "podding",
+  "podiums",
+  "pointed",
+  "pointer",
+  "poising",
+  "poisons",
+  "pokiest",
+  "polemic",
+  "policed",
+  "polices",
+  "politer",
+  "polkaed",
+  "polling",
+  "pollute",
+  "polygon",
+  "pompous",
+  "ponchos",
+  "ponders",
+  "pontoon",
+  "poodles",
+  "pooling",
+  "pooping",
+  "poorest",
+  "popcorn",
+  "poplars",
+  "poppies",
+  "popping",
+  "popular",
+  "porches",
+  "portals",
+  "portend",
+  "portent",
+  "porters",
+  "portico",
+  "porting",
+  "portion",
+  "portray",
+  "possess",
+  "possums",
+  "postage",
+  "postbox",
+  "posters",
+  "posting",
+  "postman",
+  "postmen",
+  "posture",
+  "potency",
+  "pothole",
+  "potions",
+  "potters",
+  "pottery",
+  "potting",
+  "pouched",
+  "pouches",
+  "poultry",
+  "pounced",
+  "pounces",
+  "pounded",
+  "pouring",
+  "pouting",
+  "poverty",
+  "powders",
+  "powdery",
+  "powered",
+  "powwows",
+  "prairie",
+  "praised",
+  "praises",
+  "pranced",
+  "prances",
+  "prattle",
+  "prawned",
+  "prayers",
+  "praying",
+  "precede",
+  "precise",
+  "predict",
+  "preempt",
+  "preened",
+  "prefabs",
+  "preface",
+  "prefect",
+  "prefers",
+  "prelude",
+  "premier",
+  "premise",
+  "premium",
+  "prepaid",
+  "prepare",
+  "prepays",
+  "present",
+  "preside",
+  "pressed",
+  "presses",
+  "presume",
+  "pretend",
+  "pretext",
+  "pretzel",
+  "prevail",
+  "prevent",
+  "preview",
+  "preying",
+  "pricing",
+  "pricked",
+  "prickle",
+  "prickly",
+  "priding",
+  "priests",
+  "primary",
+  "primate",
+  "primers",
+  "priming",
+  "primmer",
+  "primped",
+  "princes",
+  "printed",
+  "printer",
+  "prisons",
+  "privacy",
+  "private",
+  "privier",
+  "privies",
+  "prizing",
+  "probing",
+  "problem",
+  "proceed",
+  "process",
+  "procure",
+  "prodded",
+  "prodigy",
+  "produce",
+  "product",
+  "profane",
+  "profess",
+  "proffer",
+  "profile",
+  "profits",
+  "profuse",
+  "progeny",
+  "program",
+  "project",
+  "prolong",
+  "promise",
+  "promote",
+  "prompts",
+  "pronoun",
+  "proofed",
+  "propels",
+  "prophet",
+  "propose",
+  "propped",
+  "prosper",
+  "protect",
+  "protein",
+  "protest",
+  "protons",
+  "prouder",
+  "proudly",
+  "proverb",
+  "provide",
+  "proving",
+  "proviso",
+  "provoke",
+  "prowess",
+  "prowled",
+  "prowler",
+  "proxies",
+  "prudent",
+  "prudish",
+  "pruning",
+  "psyched",
+  "psyches",
+  "psychic",
+  "puberty",
+  "publish",
+  "puckers",
+  "pudding",
+  "puddled",
+  "puddles",
+  "pudgier",
+  "pueblos",
+  "puffier",
+  "puffing",
+  "pulleys",
+  "pulling",
+  "pulping",
+  "pulpits",
+  "pulsate",
+  "pulsing",
+  "pumices",
+  "pummels",
+  "pumping",
+  "pumpkin",
+  "punched",
+  "punches",
+  "pundits",
+  "pungent",
+  "puniest",
+  "punkest",
+  "punning",
+  "punters",
+  "punting",
+  "puppets",
+  "puppies",
+  "pupping",
+  "purging",
+  "purpler",
+  "purples",
+  "purport",
+  "purpose",
+  "purring",
+  "pursing",
+  "pursued",
+  "pursues",
+  "pursuit",
+  "pushers",
+  "pushier",
+  "pushing",
+  "pussier",
+  "pussies",
+  "putters",
+  "puttied",
+  "putties",
+  "putting",
+  "puzzled",
+  "puzzles",
+  "pyramid",
+  "pythons",
+  "quacked",
+  "quailed",
+  "quaking",
+  "qualify",
+  "quality",
+  "quantum",
+  "quarrel",
+  "quarter",
+  "quartet",
+  "quashed",
+  "quashes",
+  "quavers",
+  "queened",
+  "queenly",
+  "queered",
+  "queerer",
+  "quelled",
+  "queried",
+  "queries",
+  "quested",
+  "queuing",
+  "quibble",
+  "quicken",
+  "quicker",
+  "quickly",
+  "quieted",
+  "quieter",
+  "quietly",
+  "quilted",
+  "quinine",
+  "quintet",
+  "quipped",
+  "quirked",
+  "quitter",
+  "quivers",
+  "quizzed",
+  "quizzes",
+  "quorums",
+  "quoting",
+  "rabbits",
+  "rabbles",
+  "raccoon",
+  "raciest",
+  "racists",
+  "rackets",
+  "racking",
+  "radials",
+  "radiant",
+  "radiate",
+  "radical",
+  "radioed",
+  "raffled",
+  "raffles",
+  "rafters",
+  "rafting",
+  "ragging",
+  "ragtime",
+  "raiders",
+  "raiding",
+  "railing",
+  "railway",
+  "rainbow",
+  "rainier",
+  "raining",
+  "raising",
+  "raisins",
+  "rallied",
+  "rallies",
+  "rambled",
+  "rambler",
+  "rambles",
+  "ramming",
+  "rampage",
+  "rampant",
+  "ramrods",
+  "ranched",
+  "rancher",
+  "ranches",
+  "rangers",
+  "ranging",
+  "rankest",
+  "ranking",
+  "rankled",
+  "rankles",
+  "ransack",
+  "ransoms",
+  "ranting",
+  "rapider",
+  "rapidly",
+  "rapists",
+  "rapping",
+  "rapport",
+  "rapture",
+  "rascals",
+  "rashest",
+  "rasping",
+  "ratings",
+  "rations",
+  "ratting",
+  "rattled",
+  "rattler",
+  "rattles",
+  "raucous",
+  "ravaged",
+  "ravages",
+  "raveled",
+  "ravened",
+  "ravines",
+  "ravings",
+  "reached",
+  "reaches",
+  "reacted",
+  "reactor",
+  "readers",
+  "readied",
+  "readier",
+  "readies",
+  "readily",
+  "reading",
+  "realest",
+  "realism",
+  "realist",
+  "reality",
+  "realize",
+  "reaming",
+  "reapers",
+  "reaping",
+  "rearing",
+  "reasons",
+  "rebated",
+  "rebates",
+  "rebinds",
+  "rebirth",
+  "rebound",
+  "rebuffs",
+  "rebuild",
+  "rebuilt",
+  "rebuked",
+  "rebukes",
+  "recalls",
+  "recants",
+  "receded",
+  "recedes",
+  "receipt",
+  "receive",
+  "recipes",
+  "recital",
+  "recited",
+  "recites",
+  "reckons",
+  "reclaim",
+  "recline",
+  "recluse",
+  "recoils",
+  "records",
+  "recount",
+  "recoups",
+  "recover",
+  "recruit",
+  "rectify",
+  "rectors",
+  "rectums",
+  "recycle",
+  "reddens",
+  "reddest",
+  "redeems",
+  "redhead",
+  "redoing",
+  "redraft",
+  "redress",
+  "reduced",
+  "reduces",
+  "reefing",
+  "reeking",
+  "reelect",
+  "reeling",
+  "referee",
+  "refills",
+  "refined",
+  "refines",
+  "reflect",
+  "reforms",
+  "refrain",
+  "refresh",
+  "refuels",
+  "refugee",
+  "refuges",
+  "refunds",
+  "refusal",
+  "refused",
+  "refuses",
+  "refuted",
+  "refutes",
+  "regains",
+  "regaled",
+  "regales",
+  "regalia",
+  "regards",
+  "regatta",
+  "regents",
+  "regimen",
+  "regimes",
+  "regions",
+  "regress",
+  "regrets",
+  "regular",
+  "reigned",
+  "reining",
+  "rejects",
+  "rejoice",
+  "rejoins",
+  "relapse",
+  "related",
+  "relates",
+  "relaxed",
+  "relaxes",
+  "relayed",
+  "release",
+  "relents",
+  "reliant",
+  "reliefs",
+  "relieve",
+  "relived",
+  "relives",
+  "reloads",
+  "relying",
+  "remains",
+  "remakes",
+  "remarks",
+  "reminds",
+  "remnant",
+  "remodel",
+  "remorse",
+  "remoter",
+  "remotes",
+  "removal",
+  "removed",
+  "removes",
+  "renamed",
+  "renames",
+  "renders",
+  "rending",
+  "reneged",
+  "reneges",
+  "renewal",
+  "renewed",
+  "rentals",
+  "renting",
+  "reopens",
+  "repairs",
+  "repeals",
+  "repeats",
+  "repents",
+  "replace",
+  "replete",
+  "replica",
+  "replied",
+  "replies",
+  "reports",
+  "reposed",
+  "reposes",
+  "repress",
+  "reprint",
+  "reprove",
+  "reptile",
+  "repulse",
+  "reputed",
+  "reputes",
+  "request",
+  "requiem",
+  "require",
+  "rereads",
+  "reroute",
+  "rescind",
+  "rescued",
+  "rescuer",
+  "rescues",
+  "resents",
+  "reserve",
+  "resided",
+  "resides",
+  "residue",
+  "resigns",
+  "resists",
+  "resolve",
+  "resorts",
+  "resound",
+  "respect",
+  "respite",
+  "respond",
+  "restart",
+  "restful",
+  "resting",
+  "restive",
+  "restore",
+  "results",
+  "resumed",
+  "resumes",
+  "retails",
+  "retains",
+  "retards",
+  "retched",
+  "retches",
+  "rethink",
+  "retinas",
+  "retired",
+  "retires",
+  "retorts",
+  "retrace",
+  "retract",
+  "retreat",
+  "retries",
+  "returns",
+  "reunion",
+  "reunite",
+  "reusing",
+  "revamps",
+  "reveals",
+  "reveled",
+  "reveler",
+  "revelry",
+  "revenge",
+  "revenue",
+  "revered",
+  "reveres",
+  "reverie",
+  "reverse",
+  "reverts",
+  "reviews",
+  "reviled",
+  "reviles",
+  "revised",
+  "revises",
+  "revisit",
+  "revival",
+  "revived",
+  "revives",
+  "revoked",
+  "revokes",
+  "revolts",
+  "revolve",
+  "revving",
+  "rewards",
+  "rewrite",
+  "rewrote",
+  "rhubarb",
+  "rhyming",
+  "rhythms",
+  "ribbing",
+  "ribbons",
+  "richest",
+  "rickety",
+  "ridding",
+  "riddled",
+  "riddles",
+  "ridging",
+  "rifling",
+  "rifting",
+  "rigging",
+  "righted",
+  "righter",
+  "rightly",
+  "rigidly",
+  "rimming",
+  "ringing",
+  "ringlet",
+  "rinsing",
+  "rioters",
+  "rioting",
+  "riotous",
+  "ripened",
+  "riposte",
+  "ripping",
+  "rippled",
+  "ripples",
+  "riskier",
+  "risking",
+  "rituals",
+  "rivaled",
+  "rivalry",
+  "riveted",
+  "roaches",
+  "roaming",
+  "roaring",
+  "roasted",
+  "robbers",
+  "robbery",
+  "robbing",
+  "rockers",
+  "rockets",
+  "rockier",
+  "rocking",
+  "rodents",
+  "roguish",
+  "rollers",
+  "rolling",
+  "romance",
+  "romping",
+  "roofing",
+  "rookies",
+  "rooking",
+  "roomier",
+  "rooming",
+  "roosted",
+  "rooster",
+  "rooting",
+  "rosiest",
+  "rosters",
+  "rostrum",
+  "rotated",
+  "rotates",
+  "rotting",
+  "rotunda",
+  "roughed",
+  "roughen",
+  "rougher",
+  "roughly",
+  "rouging",
+  "rounded",
+  "rounder",
+  "rousing",
+  "routine",
+  "routing",
+  "rowboat",
+  "rowdier",
+  "rowdies",
+  "royally",
+  "royalty",
+  "rubbers",
+  "rubbing",
+  "rubbish",
+  "rubiest",
+  "rudders",
+  "ruddier",
+  "ruffian",
+  "ruffing",
+  "ruffled",
+  "ruffles",
+  "ruining",
+  "ruinous",
+  "rulings",
+  "rumbled",
+  "rumbles",
+  "rummage",
+  "rummest",
+  "rumored",
+  "rumpled",
+  "rumples",
+  "runaway",
+  "rundown",
+  "runners",
+  "runnier",
+  "running",
+  "runways",
+  "rupture",
+  "rushing",
+  "rustics",
+  "rustier",
+  "rusting",
+  "rustled",
+  "rustler",
+  "rustles",
+  "rutting",
+  "sacking",
+  "saddens",
+  "saddest",
+  "saddled",
+  "saddles",
+  "sadists",
+  "sadness",
+  "safaris",
+  "saffron",
+  "sagging",
+  "sailing",
+  "sailors",
+  "saintly",
+  "salable",
+  "salamis",
+  "salient",
+  "salmons",
+  "saloons",
+  "saltest",
+  "saltier",
+  "salting",
+  "saluted",
+  "salutes",
+  "salvage",
+  "salving",
+  "sampled",
+  "sampler",
+  "samples",
+  "sandals",
+  "sandbag",
+  "sandier",
+  "sanding",
+  "sandman",
+  "sandmen",
+  "sapling",
+  "sapping",
+  "sarcasm",
+  "sardine",
+  "sassier",
+  "satanic",
+  "satchel",
+  "satires",
+  "satisfy",
+  "saucers",
+  "saucier",
+  "saucing",
+  "saunaed",
+  "saunter",
+  "sausage",
+  "savaged",
+  "savager",
+  "savages",
+  "savings",
+  "saviors",
+  "savored",
+  "savvied",
+  "savvier",
+  "savvies",
+  "sawdust",
+  "sayings",
+  "scabbed",
+  "scalars",
+  "scalded",
+  "scalier",
+  "scaling",
+  "scallop",
+  "scalped",
+  "scalpel",
+  "scamper",
+  "scandal",
+  "scanned",
+  "scanner",
+  "scanted",
+  "scanter",
+  "scarcer",
+  "scarfed",
+  "scarier",
+  "scaring",
+  "scarlet",
+  "scarred",
+  "scarves",
+  "scatter",
+  "scenery",
+  "scented",
+  "scepter",
+  "schemed",
+  "schemer",
+  "schemes",
+  "scholar",
+  "schools",
+  "science",
+  "scissor",
+  "scoffed",
+  "scolded",
+  "scooped",
+  "scooted",
+  "scooter",
+  "scoping",
+  "scoring",
+  "scorned",
+  "scotchs",
+  "scoured",
+  "scourge",
+  "scouted",
+  "scowled",
+  "scraped",
+  "scrapes",
+  "scratch",
+  "scrawls",
+  "scrawny",
+  "screams",
+  "screech",
+  "screens",
+  "screwed",
+  "scribes",
+  "scripts",
+  "scrolls",
+  "scruffs",
+  "scruffy",
+  "scruple",
+  "scuffed",
+  "scuffle",
+  "scummed",
+  "scuttle",
+  "scythed",
+  "scythes",
+  "seafood",
+  "sealing",
+  "seaming",
+  "seaport",
+  "searing",
+  "seasick",
+  "seaside",
+  "seasons",
+  "seating",
+  "seaweed",
+  "seceded",
+  "secedes",
+  "seclude",
+  "seconds",
+  "secrecy",
+  "secrete",
+  "secrets",
+  "section",
+  "sectors",
+  "secular",
+  "secured",
+  "securer",
+  "secures",
+  "sedated",
+  "sedater",
+  "sedates",
+  "seduced",
+  "seduces",
+  "seedier",
+  "seeding",
+  "seeking",
+  "seeming",
+  "seepage",
+  "seeping",
+  "seesaws",
+  "seethed",
+  "seethes",
+  "segment",
+  "seizing",
+  "seizure",
+  "selects",
+  "selfish",
+  "sellers",
+  "selling",
+  "seminar",
+  "senates",
+  "senator",
+  "sending",
+  "seniors",
+  "sensing",
+  "sensors",
+  "sensory",
+  "sensual",
+  "sequels",
+  "sequins",
+  "serener",
+  "serials",
+  "serious",
+  "sermons",
+  "serpent",
+  "servant",
+  "servers",
+  "service",
+  "servile",
+  "serving",
+  "session",
+  "setback",
+  "setters",
+  "setting",
+  "settled",
+  "settler",
+  "settles",
+  "seventh",
+  "seventy",
+  "several",
+  "severed",
+  "severer",
+  "shackle",
+  "shadier",
+  "shading",
+  "shadows",
+  "shadowy",
+  "shafted",
+  "shakier",
+  "shaking",
+  "shallow",
+  "shamble",
+  "shaming",
+  "shammed",
+  "shampoo",
+  "shapely",
+  "shaping",
+  "sharing",
+  "sharked",
+  "sharped",
+  "sharpen",
+  "sharper",
+  "sharply",
+  "shatter",
+  "shavers",
+  "shaving",
+  "sheared",
+  "sheathe",
+  "sheaths",
+  "sheaves",
+  "sheered",
+  "sheerer",
+  "sheikhs",
+  "shelled",
+  "sheller",
+  "shelter",
+  "shelved",
+  "shelves",
+  "sherbet",
+  "sheriff",
+  "shields",
+  "shifted",
+  "shimmer",
+  "shingle",
+  "shinier",
+  "shining",
+  "shinned",
+  "shipped",
+  "shirked",
+  "shirted",
+  "shivers",
+  "shoaled",
+  "shocked",
+  "shoeing",
+  "shooing",
+  "shopped",
+  "shopper",
+  "shoring",
+  "shorted",
+  "shorten",
+  "shorter",
+  "shortly",
+  "shotgun",
+  "shouted",
+  "shovels",
+  "shoving",
+  "showers",
+  "showier",
+  "showing",
+  "showman",
+  "showmen",
+  "shrieks",
+  "shrills",
+  "shrimps",
+  "shrines",
+  "shrinks",
+  "shrivel",
+  "shrouds",
+  "shucked",
+  "shudder",
+  "shuffle",
+  "shunned",
+  "shunted",
+  "shutter",
+  "shuttle",
+  "shyness",
+  "sibling",
+  "sickens",
+  "sickest",
+  "sicking",
+  "sickles",
+  "sidings",
+  "sidling",
+  "siestas",
+  "sieving",
+  "sifting",
+  "sighing",
+  "sighted",
+  "signals",
+  "signify",
+  "signing",
+  "silence",
+  "silents",
+  "silicon",
+  "sillier",
+  "sillies",
+  "silting",
+  "silvers",
+  "silvery",
+  "similar",
+  "similes",
+  "simmers",
+  "simpler",
+  "simplex",
+  "sincere",
+  "singers",
+  "singing",
+  "singled",
+  "singles",
+  "sinking",
+  "sinners",
+  "sinning",
+  "sinuses",
+  "siphons",
+  "sipping",
+  "sirloin",
+  "sissier",
+  "sissies",
+  "sisters",
+  "sitters",
+  "sitting",
+  "situate",
+  "sixteen",
+  "sixties",
+  "sizable",
+  "sizzled",
+  "sizzles",
+  "skaters",
+  "skating",
+  "skeptic",
+  "sketchy",
+  "skewers",
+  "skewing",
+  "skidded",
+  "skilled",
+  "skillet",
+  "skimmed",
+  "skimped",
+  "skinned",
+  "skipped",
+  "skipper",
+  "skirted",
+  "skulked",
+  "skunked",
+  "skyline",
+  "slabbed",
+  "slacked",
+  "slacken",
+  "slacker",
+  "slaking",
+  "slammed",
+  "slander",
+  "slanted",
+  "slapped",
+  "slashed",
+  "slashes",
+  "slating",
+  "slavery",
+  "slaving",
+  "slavish",
+  "slaying",
+  "sledded",
+  "sleeked",
+  "sleeker",
+  "sleeper",
+  "sleeted",
+  "sleeves",
+  "sleighs",
+  "slender",
+  "slewing",
+  "slicing",
+  "slicked",
+  "slicker",
+  "sliding",
+  "slights",
+  "slimier",
+  "slimmed",
+  "slimmer",
+  "slipped",
+  "slipper",
+  "slither",
+  "slitter",
+  "slivers",
+  "slobber",
+  "slogans",
+  "slogged",
+  "sloping",
+  "slopped",
+  "sloshed",
+  "sloshes",
+  "slotted",
+  "slowest",
+  "slowing",
+  "slugged",
+  "sluiced",
+  "sluices",
+  "slumber",
+  "slummed",
+  "slummer",
+  "slumped",
+  "slurred",
+  "slyness",
+  "smacked",
+  "smaller",
+  "smarted",
+  "smarter",
+  "smartly",
+  "smashed",
+  "smashes",
+  "smeared",
+  "smelled",
+  "smelted",
+  "smidgen",
+  "smiling",
+  "smirked",
+  "smiting",
+  "smitten",
+  "smocked",
+  "smokers",
+  "smokier",
+  "smoking",
+  "smolder",
+  "smooths",
+  "smother",
+  "smudged",
+  "smudges",
+  "smugger",
+  "smuggle",
+  "snacked",
+  "snagged",
+  "snailed",
+  "snaking",
+  "snapped",
+  "snaring",
+  "snarled",
+  "sneaked",
+  "sneaker",
+  "sneered",
+  "sneezed",
+  "sneezes",
+  "snicker",
+  "snidest",
+  "sniffed",
+  "sniffle",
+  "snipers",
+  "sniping",
+  "snipped",
+  "snippet",
+  "snooker",
+  "snooped",
+  "snoozed",
+  "snoozes",
+  "snoring",
+  "snorkel",
+  "snorted",
+  "snowier",
+  "snowing",
+  "snubbed",
+  "snuffed",
+  "snuffer",
+  "snugged",
+  "snugger",
+  "snuggle",
+  "soaking",
+  "soapier",
+  "soaping",
+  "soaring",
+  "sobbing",
+  "sobered",
+  "soberer",
+  "socials",
+  "society",
+  "sockets",
+  "socking",
+  "sodding",
+  "softens",
+  "softest",
+  "soggier",
+  "soiling",
+  "sojourn",
+  "solaced",
+  "solaces",
+  "solders",
+  "soldier",
+  "solicit",
+  "solider",
+  "solidly",
+  "soloing",
+  "soloist",
+  "soluble",
+  "solvent",
+  "solving",
+  "someday",
+  "somehow",
+  "someone",
+  "sonatas",
+  "sonnets",
+  "soonest",
+  "soothed",
+  "soothes",
+  "sootier",
+  "sopping",
+  "soprano",
+  "sorcery",
+  "sorrier",
+  "sorrows",
+  "sorting",
+  "sounded",
+  "sounder",
+  "soundly",
+  "souping",
+  "sourced",
+  "sources",
+  "sourest",
+  "souring",
+  "spacial",
+  "spacing",
+  "spading",
+  "spangle",
+  "spaniel",
+  "spanked",
+  "spanned",
+  "spanner",
+  "sparest",
+  "sparing",
+  "sparked",
+  "sparkle",
+  "sparred",
+  "sparrow",
+  "sparser",
+  "spatial",
+  "spatted",
+  "spatter",
+  "spatula",
+  "spawned",
+  "spaying",
+  "speaker",
+  "speared",
+  "special",
+  "species",
+  "specify",
+  "specked",
+  "specter",
+  "spectra",
+  "spelled",
+  "speller",
+  "spewing",
+  "spheres",
+  "spicier",
+  "spicing",
+  "spiders",
+  "spigots",
+  "spiking",
+  "spilled",
+  "spinach",
+  "spinals",
+  "spindly",
+  "spirals",
+  "spirits",
+  "spiting",
+  "spitted",
+  "spittle",
+  "spleens",
+  "spliced",
+  "splices",
+  "splints",
+  "splurge",
+  "spoiled",
+  "sponged",
+  "sponges",
+  "sponsor",
+  "spoofed",
+  "spooked",
+  "spooled",
+  "spooned",
+  "sporran",
+  "sported",
+  "spotted",
+  "spouses",
+  "spouted",
+  "sprains",
+  "sprawls",
+  "sprayed",
+  "spreads",
+  "spriest",
+  "springs",
+  "springy",
+  "sprints",
+  "sprouts",
+  "spruced",
+  "sprucer",
+  "spruces",
+  "spurned",
+  "spurred",
+  "spurted",
+  "sputter",
+  "squalid",
+  "squalls",
+  "squalor",
+  "squared",
+  "squarer",
+  "squares",
+  "squawks",
+  "squeaks",
+  "squeaky",
+  "squeals",
+  "squeeze",
+  "squelch",
+  "squints",
+  "squired",
+  "squires",
+  "squirms",
+  "squirts",
+  "stabbed",
+  "stabled",
+  "stabler",
+  "stables",
+  "stacked",
+  "stadium",
+  "staffed",
+  "stagger",
+  "staging",
+  "staider",
+  "stained",
+  "staking",
+  "stalest",
+  "staling",
+  "stalked",
+  "stalled",
+  "stamina",
+  "stammer",
+  "stamped",
+  "stances",
+  "standby",
+  "stanzas",
+  "stapled",
+  "stapler",
+  "staples",
+  "starchy",
+  "stardom",
+  "staring",
+  "starker",
+  "starred",
+  "started",
+  "starter",
+  "startle",
+  "starved",
+  "starves",
+  "stately",
+  "stating",
+  "station",
+  "statues",
+  "stature",
+  "statute",
+  "staunch",
+  "staving",
+  "staying",
+  "stealth",
+  "steamed",
+  "steeled",
+  "steeped",
+  "steeper",
+  "steeple",
+  "steered",
+  "stellar",
+  "stemmed",
+  "stencil",
+  "stepped",
+  "stereos",
+  "sterile",
+  "sterner",
+  "sternly",
+  "steward",
+  "stewing",
+  "sticker",
+  "stiffed",
+  "stiffen",
+  "stiffer",
+  "stiffly",
+  "stifled",
+  "stifles",
+  "stigmas",
+  "stilled",
+  "stiller",
+  "stilted",
+  "stimuli",
+  "stinger",
+  "stinted",
+  "stirred",
+  "stirrup",
+  "stocked",
+  "stoical",
+  "stoking",
+  "stomach",
+  "stomped",
+  "stonier",
+  "stoning",
+  "stooped",
+  "stopgap",
+  "stopped",
+  "stopper",
+  "storage",
+  "stories",
+  "storing",
+  "stormed",
+  "stouter",
+  "stowing",
+  "strains",
+  "straits",
+  "strands",
+  "strange",
+  "stratum",
+  "strawed",
+  "strayed",
+  "streaks",
+  "streams",
+  "streets",
+  "stretch",
+  "strewed",
+  "strides",
+  "striker",
+  "strikes",
+  "strings",
+  "stringy",
+  "striped",
+  "stripes",
+  "striven",
+  "strives",
+  "stroked",
+  "strokes",
+  "strolls",
+  "stubbed",
+  "stubble",
+  "studded",
+  "student",
+  "studied",
+  "studies",
+  "studios",
+  "stuffed",
+  "stumble",
+  "stumped",
+  "stunned",
+  "stunted",
+  "stupefy",
+  "stupids",
+  "stupors",
+  "stutter",
+  "styling",
+  "stylish",
+  "suavest",
+  "subbing",
+  "subdued",
+  "subdues",
+  "subject",
+  "sublets",
+  "sublime",
+  "submits",
+  "subsets",
+  "subside",
+  "subsidy",
+  "subsist",
+  "subtler",
+  "suburbs",
+  "subvert",
+  "subways",
+  "succeed",
+  "success",
+  "succors",
+  "succumb",
+  "suckers",
+  "sucking",
+  "suckled",
+  "suckles",
+  "suction",
+  "suffers",
+  "suffice",
+  "sugared",
+  "suggest",
+  "suicide",
+  "suiting",
+  "suitors",
+  "sulkier",
+  "sulkies",
+  "sulking",
+  "sultans",
+  "summary",
+  "summers",
+  "summing",
+  "summits",
+  "summons",
+  "sunburn",
+  "sundaes",
+  "sundial",
+  "sundown",
+  "sunnier",
+  "sunning",
+  "sunrise",
+  "sunsets",
+  "suntans",
+  "suppers",
+  "suppler",
+  "support",
+  "suppose",
+  "supreme",
+  "surface",
+  "surfing",
+  "surgeon",
+  "surgery",
+  "surging",
+  "surlier",
+  "surmise",
+  "surname",
+  "surpass",
+  "surplus",
+  "surreal",
+  "surveys",
+  "survive",
+  "suspect",
+  "suspend",
+  "sustain",
+  "swabbed",
+  "swagger",
+  "swallow",
+  "swamped",
+  "swapped",
+  "swarmed",
+  "swarthy",
+  "swathed",
+  "swathes",
+  "swatted",
+  "swaying",
+  "sweater",
+  "sweeper",
+  "sweeten",
+  "sweeter",
+  "sweetly",
+  "swelled",
+  "sweller",
+  "swerved",
+  "swerves",
+  "swifter",
+  "swiftly",
+  "swigged",
+  "swilled",
+  "swindle",
+  "swiping",
+  "swirled",
+  "swished",
+  "swisher",
+  "swishes",
+  "swivels",
+  "swollen",
+  "swooned",
+  "swooped",
+  "symbols",
+  "symptom",
+  "synapse",
+  "synonym",
+  "syringe",
+  "systems",
+  "tabbies",
+  "tabbing",
+  "tablets",
+  "tabling",
+  "tabloid",
+  "tabooed",
+  "tacitly",
+  "tackier",
+  "tacking",
+  "tackled",
+  "tackles",
+  "tactful",
+  "tactics",
+  "tadpole",
+  "tagging",
+  "tailing",
+  "tailors",
+  "tainted",
+  "takeoff",
+  "talents",
+  "talkers",
+  "talking",
+  "tallest",
+  "tallied",
+  "tallies",
+  "tampers",
+  "tandems",
+  "tangent",
+  "tangled",
+  "tangles",
+  "tangoed",
+  "tankard",
+  "tankers",
+  "tanking",
+  "tannest",
+  "tanning",
+  "tantrum",
+  "tapered",
+  "tapping",
+  "tardier",
+  "targets",
+  "tariffs",
+  "tarnish",
+  "tarried",
+  "tarrier",
+  "tarries",
+  "tarring",
+  "tartans",
+  "tartars",
+  "tartest",
+  "tasking",
+  "tassels",
+  "tastier",
+  "tasting",
+  "tattled",
+  "tattles",
+  "tattoos",
+  "taunted",
+  "tautest",
+  "taverns",
+  "tawnier",
+  "taxable",
+  "taxicab",
+  "taxiing",
+  "teacher",
+  "teaches",
+  "teacups",
+  "teaming",
+  "teapots",
+  "tearful",
+  "tearing",
+  "teasing",
+  "tedious",
+  "teeming",
+  "teenage",
+  "teeters",
+  "teethed",
+  "teethes",
+  "tellers",
+  "telling",
+  "tempers",
+  "tempest",
+  "temples",
+  "tempted",
+  "tenable",
+  "tenancy",
+  "tenants",
+  "tenders",
+  "tending",
+  "tendons",
+  "tendril",
+  "tensest",
+  "tensing",
+  "tension",
+  "tensors",
+  "tenting",
+  "tenuous",
+  "tenured",
+  "tenures",
+  "terming",
+  "termini",
+  "termite",
+  "terrace",
+  "terrain",
+  "terrier",
+  "terrify",
+  "terrors",
+  "tersely",
+  "tersest",
+  "testers",
+  "testify",
+  "testing",
+  "tetanus",
+  "tethers",
+  "textile",
+  "textual",
+  "texture",
+  "thanked",
+  "thawing",
+  "theater",
+  "theists",
+  "theorem",
+  "therapy",
+  "thereby",
+  "therein",
+  "thereof",
+  "thereon",
+  "thermal",
+  "thicken",
+  "thicker",
+  "thicket",
+  "thickly",
+  "thieves",
+  "thimble",
+  "thinker",
+  "thinned",
+  "thinner",
+  "thirsts",
+  "thirsty",
+  "thistle",
+  "thought",
+  "threads",
+  "threats",
+  "thrifts",
+  "thrifty",
+  "thrills",
+  "thrived",
+  "thrives",
+  "throats",
+  "thrones",
+  "throngs",
+  "through",
+  "thrusts",
+  "thudded",
+  "thumbed",
+  "thumped",
+  "thunder",
+  "thwarts",
+  "thyroid",
+  "tickets",
+  "ticking",
+  "tickled",
+  "tickles",
+  "tidbits",
+  "tidiest",
+  "tidying",
+  "tiffing",
+  "tighten",
+  "tighter",
+  "tightly",
+  "tilling",
+  "tilting",
+  "timbers",
+  "timider",
+  "timidly",
+  "timings",
+  "tinging",
+  "tingled",
+  "tingles",
+  "tiniest",
+  "tinkers",
+  "tinkled",
+  "tinkles",
+  "tinnier",
+  "tinning",
+  "tinsels",
+  "tinting",
+  "tipping",
+  "tipsier",
+  "tiptoed",
+  "tiptoes",
+  "tirades",
+  "tireder",
+  "tissues",
+  "titling",
+  "titters",
+  "toasted",
+  "toaster",
+  "tobacco",
+  "toddled",
+  "toddler",
+  "toddles",
+  "toenail",
+  "toffees",
+  "toilets",
+  "toiling",
+  "tolling",
+  "tombing",
+  "tomboys",
+  "tomcats",
+  "tongued",
+  "tongues",
+  "tonight",
+  "tonnage",
+  "tonsils",
+  "tooling",
+  "toolkit",
+  "tooting",
+  "topazes",
+  "topical",
+  "topping",
+  "toppled",
+  "topples",
+  "torched",
+  "torches",
+  "torment",
+  "tornado",
+  "torpedo",
+  "torrent",
+  "torture",
+  "tossing",
+  "totaled",
+  "totally",
+  "totters",
+  "totting",
+  "toucans",
+  "touched",
+  "touches",
+  "toughen",
+  "tougher",
+  "toupees",
+  "touring",
+  "tourist",
+  "tousled",
+  "tousles",
+  "touting",
+  "towards",
+  "toweled",
+  "towered",
+  "tracing",
+  "tracked",
+  "tractor",
+  "traders",
+  "trading",
+  "traffic",
+  "tragedy",
+  "trailed",
+  "trailer",
+  "trained",
+  "trainee",
+  "trainer",
+  "traitor",
+  "tramped",
+  "trample",
+  "trances",
+  "transit",
+  "trapeze",
+  "trapped",
+  "trapper",
+  "trashed",
+  "trashes",
+  "traumas",
+  "travels",
+  "trawled",
+  "trawler",
+  "treacle",
+  "treason",
+  "treated",
+  "trebled",
+  "trebles",
+  "treeing",
+  "trekked",
+  "trellis",
+  "tremble",
+  "tremors",
+  "trended",
+  "trestle",
+  "trialed",
+  "tribute",
+  "tricked",
+  "trickle",
+  "trifled",
+  "trifles",
+  "trigger",
+  "trilled",
+  "trilogy",
+  "trimmed",
+  "trimmer",
+  "trinity",
+  "trinket",
+  "tripled",
+  "triples",
+  "triplet",
+  "tripods",
+  "tripped",
+  "tritest",
+  "triumph",
+  "trivial",
+  "trodden",
+  "trolled",
+  "trolley",
+  "trooped",
+  "trooper",
+  "trotted",
+  "trouble",
+  "troughs",
+  "trounce",
+  "trouped",
+  "troupes",
+  "trouser",
+  "trowels",
+  "truancy",
+  "truants",
+  "trucked",
+  "trudged",
+  "trudges",
+  "truffle",
+  "truisms",
+  "trumped",
+  "trumpet",
+  "trusted",
+  "trustee",
+  "tryouts",
+  "tubular",
+  "tucking",
+  "tufting",
+  "tugging",
+  "tuition",
+  "tumbled",
+  "tumbler",
+  "tumbles",
+  "tummies",
+  "tumults",
+  "tundras",
+  "tuneful",
+  "tunnels",
+  "turbans",
+  "turbine",
+  "tureens",
+  "turfing",
+  "turkeys",
+  "turmoil",
+  "turning",
+  "turnips",
+  "turnout",
+  "turrets",
+  "turtles",
+  "tussled",
+  "tussles",
+  "tutored",
+  "tuxedos",
+  "twanged",
+  "tweaked",
+  "tweeted",
+  "twelfth",
+  "twelves",
+  "twiddle",
+  "twigged",
+  "twinged",
+  "twinges",
+  "twining",
+  "twinkle",
+  "twinned",
+  "twirled",
+  "twisted",
+  "twister",
+  "twitter",
+  "tycoons",
+  "typeset",
+  "typhoid",
+  "typhoon",
+  "typical",
+  "typists",
+  "tyranny",
+  "tyrants",
+  "ugliest",
+  "umpired",
+  "umpires",
+  "umpteen",
+  "unarmed",
+  "unaware",
+  "unblock",
+  "uncanny",
+  "unclean",
+  "unclear",
+  "uncouth",
+  "uncover",
+  "undergo",
+  "undoing",
+  "undress",
+  "undying",
+  "unearth",
+  "unequal",
+  "unfolds",
+  "unfunny",
+  "unfurls",
+  "ungodly",
+  "unhappy",
+  "unheard",
+  "unhooks",
+  "unicorn",
+  "unified",
+  "unifies",
+  "uniform",
+  "uniquer",
+  "unities",
+  "uniting",
+  "unkempt",
+  "unknown",
+  "unleash",
+  "unloads",
+  "unlocks",
+  "unlucky",
+  "unmasks",
+  "unmoved",
+  "unnamed",
+  "unnerve",
+  "unpacks",
+  "unravel",
+  "unsafer",
+  "unscrew",
+  "unseats",
+  "unsound",
+  "unstuck",
+  "untruer",
+  "untying",
+  "unusual",
+  "unveils",
+  "unwinds",
+  "unwiser",
+  "unwound",
+  "unwraps",
+  "upbeats",
+  "updated",
+  "updates",
+  "upended",
+  "upgrade",
+  "uphills",
+  "upholds",
+  "uplifts",
+  "upright",
+  "uproars",
+  "uproots",
+  "upshots",
+  "upstart",
+  "uptight",
+  "upturns",
+  "upwards",
+  "uranium",
+  "urbaner",
+  "urchins",
+  "urgency",
+  "urinate",
+  "useless",
+  "ushered",
+  "usually",
+  "usurped",
+  "utensil",
+  "utility",
+  "utilize",
+  "uttered",
+  "utterly",
+  "vacancy",
+  "vacated",
+  "vacates",
+  "vaccine",
+  "vacuous",
+  "vacuums",
+  "vaginae",
+  "vaginal",
+  "vagrant",
+  "vaguely",
+  "vaguest",
+  "vainest",
+  "valeted",
+  "valiant",
+  "validly",
+  "valises",
+  "valleys",
+  "valuing",
+  "valving",
+  "vampire",
+  "vandals",
+  "vanilla",
+  "vanning",
+  "variant",
+  "variety",
+  "various",
+  "varnish",
+  "varsity",
+  "varying",
+  "vastest",
+  "vatting",
+  "vaulted",
+  "vectors",
+  "veering",
+  "vehicle",
+  "veiling",
+  "veining",
+  "velvety",
+  "vending",
+  "vendors",
+  "veneers",
+  "venison",
+  "venting",
+  "venture",
+  "veranda",
+  "verbals",
+  "verbose",
+  "verdict",
+  "verging",
+  "veriest",
+  "versing",
+  "version",
+  "vertigo",
+  "vessels",
+  "vestige",
+  "vesting",
+  "veteran",
+  "vetoing",
+  "vetting",
+  "viaduct",
+  "vibrant",
+  "vibrate",
+  "vicious",
+  "victims",
+  "victors",
+  "victory",
+  "viewers",
+  "viewing",
+  "village",
+  "villain",
+  "vinegar",
+  "vintage",
+  "violate",
+  "violent",
+  "violets",
+  "violins",
+  "virgins",
+  "virtual",
+  "virtues",
+  "viruses",
+  "visaing",
+  "visible",
+  "visibly",
+  "visions",
+  "visited",
+  "visitor",
+  "visuals",
+  "vitally",
+  "vitamin",
+  "vivider",
+  "vividly",
+  "voicing",
+  "voiding",
+  "volcano",
+  "volleys",
+  "voltage",
+  "volumes",
+  "vomited",
+  "voodoos",
+  "vouched",
+  "voucher",
+  "vouches",
+  "voyaged",
+  "voyager",
+  "voyages",
+  "vulture",
+  "wadding",
+  "waddled",
+  "waddles",
+  "waffled",
+  "waffles",
+  "wafting",
+  "wagered",
+  "wagging",
+  "wailing",
+  "waiters",
+  "waiting",
+  "waivers",
+  "waiving",
+  "wakened",
+  "walkers",
+  "walking",
+  "walkout",
+  "wallets",
+  "walling",
+  "wallops",
+  "wallows",
+  "walnuts",
+  "waltzed",
+  "waltzes",
+  "wanders",
+  "wannest",
+  "wanting",
+  "wantons",
+  "warbled",
+  "warbles",
+  "wardens",
+  "warding",
+  "warfare",
+  "warhead",
+  "wariest",
+  "warlike",
+  "warmest",
+  "warming",
+  "warning",
+  "warpath",
+  "warping",
+  "warrant",
+  "warrens",
+  "warring",
+  "warrior",
+  "wartime",
+  "washers",
+  "washing",
+  "washout",
+  "wastage",
+  "wasting",
+  "watched",
+  "watches",
+  "watered",
+  "wavered",
+  "waviest",
+  "waxiest",
+  "waylaid",
+  "waylays",
+  "wayside",
+  "wayward",
+  "weakens",
+  "weakest",
+  "wealthy",
+  "weaning",
+  "weapons",
+  "wearied",
+  "wearier",
+  "wearies",
+  "wearily",
+  "wearing",
+  "weasels",
+  "weather",
+  "weavers",
+  "weaving",
+  "webbing",
+  "wedding",
+  "wedging",
+  "wedlock",
+  "weedier",
+  "weeding",
+  "weekday",
+  "weekend",
+  "weeping",
+  "weighed",
+  "weights",
+  "weighty",
+  "weirder",
+  "weirdos",
+  "welcome",
+  "welders",
+  "welding",
+  "welfare",
+  "welling",
+  "welters",
+  "welting",
+  "western",
+  "wettest",
+  "wetting",
+  "whacked",
+  "whalers",
+  "whaling",
+  "wharves",
+  "wheedle",
+  "wheeled",
+  "wheezed",
+  "wheezes",
+  "whereas",
+  "whereby",
+  "wherein",
+  "whether",
+  "whetted",
+  "whiffed",
+  "whiling",
+  "whimper",
+  "whining",
+  "whipped",
+  "whirled",
+  "whirred",
+  "whisked",
+  "whisker",
+  "whiskey",
+  "whiskys",
+  "whisper",
+  "whistle",
+  "whitens",
+  "whitest",
+  "whittle",
+  "whizzed",
+  "whizzes",
+  "whoever",
+  "whooped",
+  "whopper",
+  "wickers",
+  "wickets",
+  "widened",
+  "widowed",
+  "widower",
+  "wielded",
+  "wigging",
+  "wiggled",
+  "wiggles",
+  "wigwams",
+  "wildcat",
+  "wildest",
+  "wiliest",
+  "willful",
+  "willing",
+  "willows",
+  "wilting",
+  "winched",
+  "winches",
+  "wincing",
+  "windier",
+  "winding",
+  "windows",
+  "wingers",
+  "winging",
+  "winking",
+  "winners",
+  "winning",
+  "winsome",
+  "winters",
+  "wiriest",
+  "wishful",
+  "wishing",
+  "wispier",
+  "wistful",
+  "witched",
+  "witches",
+  "withers",
+  "without",
+  "witless",
+  "witness",
+  "wittier",
+  "witting",
+  "wizards",
+  "wizened",
+  "wobbled",
+  "wobbles",
+  "wolfing",
+  "wombats",
+  "wonders",
+  "woodier",
+  "woodies",
+  "wooding",
+  "woofing",
+  "woolens",
+  "wordier",
+  "wording",
+  "workers",
+  "working",
+  "workman",
+  "workmen",
+  "workout",
+  "worldly",
+  "worming",
+  "worried",
+  "worries",
+  "worsens",
+  "worship",
+  "worsted",
+  "wounded",
+  "wounder",
+  "wrangle",
+  "wrapped",
+  "wrapper",
+  "wreaked",
+  "wreathe",
+  "wreaths",
+  "wrecked",
+  "wrecker",
+  "wrested",
+  "wrestle",
+  "wriggle",
+  "wringer",
+  "wrinkle",
+  "writers",
+  "writhed",
+  "writhes",
+  "writing",
+  "written",
+  "wronged",
+  "wronger",
+  "wrongly",
+  "wrought",
+  "yachted",
+  "yakking",
+  "yanking",
+  "yapping",
+  "yawning",
+  "yearned",
+  "yelling",
+  "yellows",
+  "yelping",
+  "yessing",
+  "yielded",
+  "yodeled",
+  "yogurts",
+  "younger",
+  "yowling",
+  "zaniest",
+  "zealous",
+  "zeniths",
+  "zeroing",
+  "zigzags",
+  "zillion",
+  "zincked",
+  "zippers",
+  "zipping",
+  "zodiacs",
+  "zombies",
+  "zoology",
+  "zooming"
+];
+
+/**
+ * Other accepted 7-letter guesses
+ * Total: 2875 words
+ */
+export const VALID_GUESSES_LIST = [
+  "abalone",
+  "abashed",
+  "abashes",
+  "abasing",
+  "abettor",
+  "abjured",
+  "abjures",
+  "abraded",
+  "abrades",
+  "abutted",
+  "acacias",
+  "accrual",
+  "acerbic",
+  "acetate",
+  "acetone",
+  "achiest",
+  "acidify",
+  "acolyte",
+  "aconite",
+  "actuate",
+  "adagios",
+  "addenda",
+  "addends",
+  "addling",
+  "adduced",
+  "adduces",
+  "adenoid",
+  "adeptly",
+  "adipose",
+  "adjudge",
+  "adjured",
+  "adjures",
+  "adrenal",
+  "adulate",
+  "advents",
+  "aerated",
+  "aerates",
+  "aerator",
+  "aerobic",
+  "affrays",
+  "afghans",
+  "ageless",
+  "agilely",
+  "aileron",
+  "airdrop",
+  "airfare",
+  "airfoil",
+  "airhead",
+  "airings",
+  "airless",
+  "airlift",
+  "airship",
+  "airsick",
+  "airways",
+  "albumen",
+  "albumin",
+  "alchemy",
+  "alertly",
+  "alfalfa",
+  "allegro",
+  "allover",
+  "alpacas",
+  "alright",
+  "alumnae",
+  "alumnus",
+  "amalgam",
+  "amatory",
+  "amazons",
+  "ammeter",
+  "amoebic",
+  "ampules",
+  "amputee",
+  "analogs",
+  "anapest",
+  "andante",
+  "andiron",
+  "anemone",
+  "angoras",
+  "animism",
+  "animist",
+  "aniseed",
+  "anklets",
+  "anneals",
+  "annular",
+  "anodyne",
+  "antacid",
+  "anteing",
+  "anthers",
+  "antigen",
+  "antiwar",
+  "anymore",
+  "anytime",
+  "aphasia",
+  "aphasic",
+  "aphelia",
+  "aplenty",
+  "apogees",
+  "apprise",
+  "apropos",
+  "aptness",
+  "aquavit",
+  "aqueous",
+  "aquifer",
+  "arbutus",
+  "arctics",
+  "argyles",
+  "aridity",
+  "armadas",
+  "armband",
+  "armfuls",
+  "armhole",
+  "armlets",
+  "armorer",
+  "armrest",
+  "arousal",
+  "arroyos",
+  "artiest",
+  "artiste",
+  "artless",
+  "artsier",
+  "aseptic",
+  "ashcans",
+  "ashiest",
+  "ashrams",
+  "asinine",
+  "asocial",
+  "assayed",
+  "asshole",
+  "assizes",
+  "assuage",
+  "asunder",
+  "atavism",
+  "atelier",
+  "atrophy",
+  "attuned",
+  "attunes",
+  "augured",
+  "aurally",
+  "aureole",
+  "auricle",
+  "auspice",
+  "avatars",
+  "avenger",
+  "averred",
+  "avidity",
+  "azimuth",
+  "babbler",
+  "babysat",
+  "babysit",
+  "bacilli",
+  "backbit",
+  "backhoe",
+  "backups",
+  "bagpipe",
+  "bailiff",
+  "bailout",
+  "baleful",
+  "balkier",
+  "balsams",
+  "baneful",
+  "bangles",
+  "banshee",
+  "bantams",
+  "banyans",
+  "baobabs",
+  "baptist",
+  "barbell",
+  "barfing",
+  "barista",
+  "barkers",
+  "barmaid",
+  "baronet",
+  "barrack",
+  "barrios",
+  "barroom",
+  "barrows",
+  "baseman",
+  "basemen",
+  "bassist",
+  "bastion",
+  "bathers",
+  "bathmat",
+  "batsmen",
+  "battens",
+  "battier",
+  "baubles",
+  "bauxite",
+  "bawdily",
+  "bazooka",
+  "beanbag",
+  "bearish",
+  "beastly",
+  "beatify",
+  "beatnik",
+  "becalms",
+  "bedecks",
+  "bedevil",
+  "bedpans",
+  "bedroll",
+  "bedsore",
+  "beeline",
+  "beepers",
+  "beeping",
+  "befouls",
+  "begonia",
+  "behests",
+  "behoove",
+  "belayed",
+  "beltway",
+  "benumbs",
+  "benzene",
+  "berated",
+  "berates",
+  "bespeak",
+  "bespoke",
+  "bestirs",
+  "betaken",
+  "betakes",
+  "bethink",
+  "betided",
+  "betides",
+  "betoken",
+  "betroth",
+  "betwixt",
+  "beveled",
+  "bewails",
+  "bidders",
+  "biddies",
+  "bifocal",
+  "biggies",
+  "bighorn",
+  "bigness",
+  "bigwigs",
+  "bilious",
+  "bilking",
+  "billets",
+  "billies",
+  "billowy",
+  "bindery",
+  "bipedal",
+  "bipolar",
+  "birdied",
+  "birdies",
+  "biretta",
+  "birther",
+  "bismuth",
+  "bistros",
+  "bitcoin",
+  "bittern",
+  "bitters",
+  "bitumen",
+  "bivalve",
+  "bivouac",
+  "blandly",
+  "blarney",
+  "blazons",
+  "bleakly",
+  "bleeder",
+  "bleeped",
+  "blender",
+  "blintze",
+  "bloated",
+  "bloomer",
+  "blooper",
+  "blotchy",
+  "blowers",
+  "blowgun",
+  "blowups",
+  "blusher",
+  "boaster",
+  "boaters",
+  "boatman",
+  "boatmen",
+  "bobbies",
+  "bobbled",
+  "bobbles",
+  "bobtail",
+  "bodegas",
+  "bodkins",
+  "bogeyed",
+  "boggier",
+  "boleros",
+  "bombast",
+  "bonanza",
+  "bonbons",
+  "bonging",
+  "bonitos",
+  "bonkers",
+  "bonnier",
+  "boobies",
+  "boobing",
+  "boodles",
+  "boogied",
+  "boogies",
+  "bookies",
+  "bookish",
+  "boozers",
+  "boozier",
+  "boozing",
+  "bopping",
+  "borscht",
+  "bossily",
+  "botnets",
+  "boudoir",
+  "bouncer",
+  "bounden",
+  "bounder",
+  "bowlers",
+  "boxwood",
+  "bracken",
+  "bragger",
+  "braille",
+  "bramble",
+  "brashly",
+  "bravura",
+  "brawler",
+  "breaker",
+  "breakup",
+  "breathy",
+  "brewers",
+  "brigand",
+  "brimful",
+  "brisket",
+  "bristly",
+  "brogans",
+  "brogues",
+  "bromide",
+  "bromine",
+  "bronchi",
+  "brooder",
+  "brothel",
+  "browser",
+  "bruiser",
+  "brunets",
+  "buckeye",
+  "buckler",
+  "buckram",
+  "bucksaw",
+  "bucolic",
+  "budgies",
+  "bugaboo",
+  "bugbear",
+  "buildup",
+  "builtin",
+  "bulgier",
+  "bulimia",
+  "bulimic",
+  "bullish",
+  "bullock",
+  "bullpen",
+  "bulrush",
+  "bulwark",
+  "bumbled",
+  "bumbler",
+  "bumbles",
+  "bummers",
+  "bumpkin",
+  "bunging",
+  "bunting",
+  "burdock",
+  "burgeon",
+  "burgher",
+  "burgled",
+  "burgles",
+  "burnout",
+  "burrito",
+  "bursars",
+  "busbies",
+  "busboys",
+  "bushman",
+  "bushmen",
+  "busters",
+  "butches",
+  "buyouts",
+  "bylines",
+  "bywords",
+  "cabanas",
+  "cabbies",
+  "cachets",
+  "cadaver",
+  "caddish",
+  "cadenza",
+  "cadgers",
+  "cadging",
+  "cadmium",
+  "caducei",
+  "caesura",
+  "caftans",
+  "cahoots",
+  "caisson",
+  "calcify",
+  "calcine",
+  "calcite",
+  "caliper",
+  "caliphs",
+  "caloric",
+  "calumny",
+  "calving",
+  "calypso",
+  "calyxes",
+  "cambers",
+  "cambium",
+  "cambric",
+  "camphor",
+  "campier",
+  "canards",
+  "canasta",
+  "cancans",
+  "cannily",
+  "cantata",
+  "canting",
+  "cantons",
+  "cantors",
+  "capitol",
+  "caplets",
+  "capstan",
+  "carafes",
+  "caraway",
+  "carbide",
+  "carbine",
+  "carboys",
+  "careens",
+  "carfare",
+  "carjack",
+  "carmine",
+  "caroler",
+  "caromed",
+  "carotid",
+  "carpals",
+  "carpels",
+  "carport",
+  "carrels",
+  "carsick",
+  "carvers",
+  "cassava",
+  "cassias",
+  "cassock",
+  "castors",
+  "casuist",
+  "catalpa",
+  "catarrh",
+  "catbird",
+  "catboat",
+  "catcher",
+  "cathode",
+  "cations",
+  "catkins",
+  "cattail",
+  "cattier",
+  "cattily",
+  "caveman",
+  "cavemen",
+  "caviled",
+  "cayenne",
+  "cedilla",
+  "celesta",
+  "censers",
+  "centaur",
+  "centime",
+  "cerebra",
+  "cession",
+  "chaises",
+  "chamois",
+  "chancel",
+  "chanter",
+  "chantey",
+  "chaplet",
+  "charade",
+  "charier",
+  "charily",
+  "charmer",
+  "chasers",
+  "chattel",
+  "cheater",
+  "cheddar",
+  "chemise",
+  "cheroot",
+  "chervil",
+  "chevron",
+  "chewers",
+  "chichis",
+  "chicory",
+  "chiffon",
+  "chigger",
+  "chignon",
+  "chimera",
+  "chintzy",
+  "chirrup",
+  "chocked",
+  "chokers",
+  "chomped",
+  "chorale",
+  "chutney",
+  "cicadas",
+  "circlet",
+  "citadel",
+  "citrons",
+  "civilly",
+  "civvies",
+  "clangor",
+  "clarets",
+  "clarion",
+  "clayier",
+  "cleanup",
+  "clement",
+  "clewing",
+  "clinker",
+  "clipper",
+  "clobber",
+  "cloches",
+  "clomped",
+  "cloning",
+  "clopped",
+  "cloture",
+  "cloying",
+  "clunked",
+  "clunker",
+  "cobbled",
+  "cobbles",
+  "cochlea",
+  "cockade",
+  "cockily",
+  "cockles",
+  "cockney",
+  "coddled",
+  "coddles",
+  "codeine",
+  "codfish",
+  "codgers",
+  "codices",
+  "codicil",
+  "coequal",
+  "coevals",
+  "cognate",
+  "cohabit",
+  "cohered",
+  "coheres",
+  "cohorts",
+  "coiffed",
+  "colicky",
+  "colitis",
+  "colleen",
+  "collier",
+  "colloid",
+  "collude",
+  "cologne",
+  "colossi",
+  "coltish",
+  "comedic",
+  "comfier",
+  "commode",
+  "comport",
+  "compote",
+  "condole",
+  "conduce",
+  "conduit",
+  "confabs",
+  "confute",
+  "congaed",
+  "conjoin",
+  "conking",
+  "connive",
+  "contuse",
+  "convoke",
+  "cookers",
+  "cookery",
+  "cookout",
+  "coolant",
+  "coolies",
+  "coopers",
+  "cooties",
+  "copilot",
+  "copings",
+  "coppery",
+  "copters",
+  "copulas",
+  "copycat",
+  "cordite",
+  "corncob",
+  "corneal",
+  "cornice",
+  "cornrow",
+  "corolla",
+  "coronas",
+  "coronet",
+  "corpora",
+  "corsair",
+  "cosigns",
+  "cosplay",
+  "costars",
+  "coterie",
+  "cotters",
+  "couplet",
+  "courtly",
+  "cowbird",
+  "cowhand",
+  "cowlick",
+  "cowling",
+  "cowpoke",
+  "cowslip",
+  "coxcomb",
+  "coyness",
+  "cozened",
+  "crackly",
+  "crackup",
+  "cranial",
+  "crapped",
+  "crassly",
+  "cravats",
+  "cravens",
+  "creamer",
+  "creeper",
+  "creoles",
+  "crewman",
+  "crewmen",
+  "cricked",
+  "crimped",
+  "crinkly",
+  "critter",
+  "crocked",
+  "crooner",
+  "cropper",
+  "crosier",
+  "crossly",
+  "cruller",
+  "crumpet",
+  "cryings",
+  "cubical",
+  "cubists",
+  "cuckold",
+  "cudgels",
+  "culotte",
+  "culvert",
+  "cumulus",
+  "cupcake",
+  "cupolas",
+  "curates",
+  "curlers",
+  "curlews",
+  "curlier",
+  "cursive",
+  "cursors",
+  "curvier",
+  "cushier",
+  "cuspids",
+  "cussing",
+  "cutlass",
+  "cutoffs",
+  "cutouts",
+  "cygnets",
+  "czarina",
+  "dabbler",
+  "dactyls",
+  "daemons",
+  "daffier",
+  "daftest",
+  "dahlias",
+  "damasks",
+  "dampers",
+  "damsons",
+  "dandled",
+  "dandles",
+  "dappled",
+  "dapples",
+  "dashiki",
+  "datives",
+  "daubers",
+  "dauphin",
+  "dawdler",
+  "daybeds",
+  "deadpan",
+  "deafens",
+  "deathly",
+  "debacle",
+  "debarks",
+  "debater",
+  "debauch",
+  "decamps",
+  "decants",
+  "declaim",
+  "deejays",
+  "definer",
+  "defrays",
+  "defused",
+  "defuses",
+  "deicers",
+  "deicing",
+  "demesne",
+  "demigod",
+  "demoing",
+  "demonic",
+  "deniers",
+  "denizen",
+  "denture",
+  "denuded",
+  "denudes",
+  "deplane",
+  "deploys",
+  "deputed",
+  "deputes",
+  "derbies",
+  "dervish",
+  "descant",
+  "despoil",
+  "detoxed",
+  "detoxes",
+  "devilry",
+  "dewdrop",
+  "dewiest",
+  "dewlaps",
+  "diadems",
+  "diarist",
+  "diatoms",
+  "dibbled",
+  "dibbles",
+  "diciest",
+  "dickers",
+  "dickeys",
+  "diddled",
+  "diddles",
+  "dieters",
+  "diggers",
+  "digraph",
+  "dillies",
+  "dimmers",
+  "dimness",
+  "dimwits",
+  "dinette",
+  "dinging",
+  "dingoes",
+  "dinkier",
+  "dinkies",
+  "diorama",
+  "dioxins",
+  "dippers",
+  "disbars",
+  "discoed",
+  "dishpan",
+  "dishrag",
+  "disport",
+  "disrobe",
+  "dissing",
+  "distaff",
+  "diurnal",
+  "divider",
+  "divvied",
+  "divvies",
+  "dizzily",
+  "docents",
+  "dockets",
+  "dodders",
+  "dodgers",
+  "doffing",
+  "dogfish",
+  "doggier",
+  "doggies",
+  "doggone",
+  "dogtrot",
+  "dollops",
+  "dolmens",
+  "doltish",
+  "donning",
+  "doodads",
+  "doodler",
+  "doormat",
+  "dorkier",
+  "dormers",
+  "dormice",
+  "dosages",
+  "dossier",
+  "dotcoms",
+  "doublet",
+  "doubter",
+  "douched",
+  "douches",
+  "doughty",
+  "dowager",
+  "dowdily",
+  "doweled",
+  "downers",
+  "dowsing",
+  "drachma",
+  "draftee",
+  "dragnet",
+  "dragoon",
+  "drainer",
+  "dredger",
+  "driblet",
+  "drifter",
+  "drizzly",
+  "droplet",
+  "dropper",
+  "drovers",
+  "drubbed",
+  "drywall",
+  "duality",
+  "dubiety",
+  "duchies",
+  "ductile",
+  "ducting",
+  "dudgeon",
+  "duelist",
+  "duffers",
+  "dukedom",
+  "dullard",
+  "dunnest",
+  "dunning",
+  "duodena",
+  "durably",
+  "dusters",
+  "dustman",
+  "duteous",
+  "eaglets",
+  "earbuds",
+  "earfuls",
+  "earldom",
+  "earlobe",
+  "earmuff",
+  "earplug",
+  "earthen",
+  "earwigs",
+  "eatable",
+  "echelon",
+  "edamame",
+  "edgings",
+  "edified",
+  "edifies",
+  "effaced",
+  "effaces",
+  "egghead",
+  "egoists",
+  "elating",
+  "elegiac",
+  "eliding",
+  "elision",
+  "elixirs",
+  "embroil",
+  "emended",
+  "emetics",
+  "emirate",
+  "emoting",
+  "emptily",
+  "enamors",
+  "encamps",
+  "enclave",
+  "encoder",
+  "encrust",
+  "encrypt",
+  "enduing",
+  "enfolds",
+  "engorge",
+  "enjoins",
+  "ennoble",
+  "ensnare",
+  "entente",
+  "enthuse",
+  "entombs",
+  "epicure",
+  "epigram",
+  "epistle",
+  "epochal",
+  "epoxied",
+  "epoxies",
+  "equable",
+  "equably",
+  "erectly",
+  "ermines",
+  "erosive",
+  "erotica",
+  "erratas",
+  "erratum",
+  "escapee",
+  "eschews",
+  "escrows",
+  "espouse",
+  "espying",
+  "esquire",
+  "estuary",
+  "etchers",
+  "eunuchs",
+  "euphony",
+  "evacuee",
+  "evinced",
+  "evinces",
+  "excreta",
+  "exigent",
+  "expiate",
+  "expunge",
+  "extrude",
+  "eyefuls",
+  "eyelets",
+  "facings",
+  "faddish",
+  "fagging",
+  "fainest",
+  "fairway",
+  "falloff",
+  "fallows",
+  "fanboys",
+  "fancily",
+  "fannies",
+  "fanzine",
+  "farrows",
+  "farting",
+  "fathead",
+  "fatness",
+  "febrile",
+  "fedoras",
+  "feedbag",
+  "femoral",
+  "fencers",
+  "ferrous",
+  "ferrule",
+  "fetlock",
+  "fevered",
+  "fibroid",
+  "fibrous",
+  "fibulae",
+  "fielder",
+  "filbert",
+  "filings",
+  "fillers",
+  "fillips",
+  "finagle",
+  "finders",
+  "finises",
+  "finking",
+  "firebug",
+  "fishers",
+  "fishnet",
+  "fistful",
+  "fitters",
+  "fixated",
+  "fixates",
+  "fixedly",
+  "fixings",
+  "fizzier",
+  "flaccid",
+  "flagons",
+  "flambes",
+  "flanges",
+  "flapper",
+  "flatbed",
+  "flatcar",
+  "flattop",
+  "flaying",
+  "fleshly",
+  "floater",
+  "florins",
+  "flotsam",
+  "flubbed",
+  "fluidly",
+  "flukier",
+  "flummox",
+  "flyleaf",
+  "fobbing",
+  "fondant",
+  "fondues",
+  "foolery",
+  "footman",
+  "footmen",
+  "footsie",
+  "foppish",
+  "forager",
+  "foxhole",
+  "foxtrot",
+  "fracked",
+  "framers",
+  "frappes",
+  "frazzle",
+  "freebie",
+  "freeman",
+  "freemen",
+  "freshet",
+  "friable",
+  "fridges",
+  "frizzed",
+  "frizzes",
+  "frizzle",
+  "frogman",
+  "frogmen",
+  "fuchsia",
+  "fuckers",
+  "fucking",
+  "fuddled",
+  "fuddles",
+  "fulsome",
+  "fumbler",
+  "fungous",
+  "funkier",
+  "funking",
+  "furbish",
+  "fusible",
+  "fusions",
+  "fussily",
+  "fustian",
+  "fustier",
+  "futzing",
+  "fuzzily",
+  "gabbier",
+  "gabbled",
+  "gabbles",
+  "gadding",
+  "gaffing",
+  "gaggles",
+  "gainsay",
+  "gaiters",
+  "galleon",
+  "gallium",
+  "gambols",
+  "gametes",
+  "gamiest",
+  "gamines",
+  "ganglia",
+  "gannets",
+  "gantlet",
+  "garners",
+  "garrote",
+  "gasohol",
+  "gassier",
+  "gaucher",
+  "gauchos",
+  "gaudily",
+  "gauzier",
+  "gavotte",
+  "gawkily",
+  "gayness",
+  "gazebos",
+  "gearbox",
+  "geekier",
+  "geezers",
+  "gelling",
+  "genomes",
+  "genteel",
+  "gentian",
+  "germane",
+  "gerunds",
+  "gestate",
+  "gewgaws",
+  "gherkin",
+  "gibbets",
+  "gibbons",
+  "giblets",
+  "giddily",
+  "gigabit",
+  "giggler",
+  "gigolos",
+  "gimlets",
+  "ginseng",
+  "girding",
+  "girting",
+  "glazier",
+  "gleeful",
+  "glottis",
+  "gluiest",
+  "gnomish",
+  "gobbler",
+  "goddamn",
+  "godhood",
+  "godsons",
+  "goggled",
+  "goiters",
+  "gollies",
+  "goobers",
+  "googled",
+  "googles",
+  "gossipy",
+  "gougers",
+  "goutier",
+  "grackle",
+  "graders",
+  "grafter",
+  "granary",
+  "grandee",
+  "grandma",
+  "grandpa",
+  "granges",
+  "grapnel",
+  "grayish",
+  "griffin",
+  "gringos",
+  "gristly",
+  "grommet",
+  "groupie",
+  "grouted",
+  "grownup",
+  "guesser",
+  "guilder",
+  "guineas",
+  "gunboat",
+  "gunnery",
+  "gunwale",
+  "gurneys",
+  "gushier",
+  "gussets",
+  "gutless",
+  "gutsier",
+  "guzzler",
+  "gypping",
+  "gypsies",
+  "hackles",
+  "hafnium",
+  "haggler",
+  "hairnet",
+  "hairpin",
+  "halberd",
+  "halcyon",
+  "hallows",
+  "halogen",
+  "halyard",
+  "handcar",
+  "handgun",
+  "handily",
+  "handset",
+  "hangdog",
+  "hangman",
+  "hangmen",
+  "hankies",
+  "hansoms",
+  "hardily",
+  "hardtop",
+  "harelip",
+  "harpies",
+  "hashish",
+  "hashtag",
+  "hassock",
+  "hatters",
+  "haulers",
+  "hauteur",
+  "hawkers",
+  "hawkish",
+  "hawsers",
+  "haycock",
+  "hayloft",
+  "haymows",
+  "hayseed",
+  "hazings",
+  "headset",
+  "hearers",
+  "hearken",
+  "hectare",
+  "hectors",
+  "heedful",
+  "heehaws",
+  "hefting",
+  "heiress",
+  "heisted",
+  "helical",
+  "helices",
+  "hellion",
+  "hemline",
+  "hennaed",
+  "henpeck",
+  "hepatic",
+  "heppest",
+  "herbage",
+  "herders",
+  "heroics",
+  "hibachi",
+  "hickeys",
+  "hideout",
+  "highboy",
+  "hillock",
+  "hilltop",
+  "hirsute",
+  "hitters",
+  "hoagies",
+  "hoarier",
+  "hoaxers",
+  "hobnail",
+  "hoedown",
+  "hoggish",
+  "hogwash",
+  "hokiest",
+  "holdout",
+  "homburg",
+  "homeboy",
+  "homered",
+  "honchos",
+  "hoodies",
+  "hoodoos",
+  "hookahs",
+  "hookers",
+  "hookups",
+  "hooters",
+  "hoppers",
+  "horsier",
+  "hosanna",
+  "hospice",
+  "hostler",
+  "hotcake",
+  "hotkeys",
+  "hotness",
+  "hotshot",
+  "howdahs",
+  "howlers",
+  "hubbies",
+  "hubcaps",
+  "huffily",
+  "humbugs",
+  "humerus",
+  "humidor",
+  "hummock",
+  "hunkers",
+  "hurdler",
+  "hurlers",
+  "huskers",
+  "hussars",
+  "hussies",
+  "hydrate",
+  "iambics",
+  "icecaps",
+  "iciness",
+  "ickiest",
+  "iffiest",
+  "igneous",
+  "ignoble",
+  "ignobly",
+  "imbibed",
+  "imbibes",
+  "imbuing",
+  "immured",
+  "immures",
+  "impalas",
+  "impanel",
+  "impiety",
+  "impious",
+  "implode",
+  "impugns",
+  "imputed",
+  "imputes",
+  "inanely",
+  "inanity",
+  "inboard",
+  "inbound",
+  "inboxes",
+  "incised",
+  "incises",
+  "incubus",
+  "ineptly",
+  "inertly",
+  "inflect",
+  "ingrate",
+  "ingress",
+  "ingrown",
+  "inhered",
+  "inheres",
+  "inkblot",
+  "inkwell",
+  "inroads",
+  "inseams",
+  "inshore",
+  "insoles",
+  "intoned",
+  "intones",
+  "intuits",
+  "inuring",
+  "inveigh",
+  "iodized",
+  "iodizes",
+  "ionized",
+  "ionizer",
+  "ionizes",
+  "ipecacs",
+  "irately",
+  "iridium",
+  "irksome",
+  "isobars",
+  "isotope",
+  "jasmine",
+  "jazzier",
+  "jerkily",
+  "jerkins",
+  "jibbing",
+  "jiggers",
+  "jimmied",
+  "jimmies",
+  "jitneys",
+  "jobbers",
+  "jobless",
+  "joggled",
+  "joggles",
+  "joiners",
+  "jollity",
+  "jonquil",
+  "joshing",
+  "jounced",
+  "jounces",
+  "jousted",
+  "joyless",
+  "joyride",
+  "joyrode",
+  "juicers",
+  "juicily",
+  "jujitsu",
+  "jujubes",
+  "jukebox",
+  "junkers",
+  "junkier",
+  "jurists",
+  "karakul",
+  "karaoke",
+  "katydid",
+  "kenning",
+  "keratin",
+  "kestrel",
+  "ketches",
+  "kibbutz",
+  "kickers",
+  "kickier",
+  "kidders",
+  "kiddies",
+  "killjoy",
+  "kiloton",
+  "kinetic",
+  "kingpin",
+  "kinsman",
+  "kinsmen",
+  "kippers",
+  "kissers",
+  "kitschy",
+  "klutzes",
+  "knavery",
+  "knavish",
+  "kneader",
+  "knelled",
+  "knitter",
+  "kookier",
+  "kopecks",
+  "krypton",
+  "kumquat",
+  "labials",
+  "lackeys",
+  "laconic",
+  "lactate",
+  "lactose",
+  "lacunae",
+  "laddies",
+  "ladings",
+  "lambent",
+  "lambkin",
+  "lamming",
+  "lamprey",
+  "lancers",
+  "lancets",
+  "lankest",
+  "lanolin",
+  "lanyard",
+  "laptops",
+  "lapwing",
+  "larches",
+  "larders",
+  "largess",
+  "lariats",
+  "lasagna",
+  "lassies",
+  "lassoed",
+  "latency",
+  "laxness",
+  "layaway",
+  "layette",
+  "layoffs",
+  "layover",
+  "leached",
+  "leaches",
+  "leakier",
+  "learner",
+  "leavens",
+  "lechers",
+  "lechery",
+  "leeward",
+  "lefties",
+  "leftism",
+  "leftist",
+  "legatee",
+  "legates",
+  "legatos",
+  "leggier",
+  "legless",
+  "legroom",
+  "legwork",
+  "lemming",
+  "lenders",
+  "leonine",
+  "leprous",
+  "lessees",
+  "lessors",
+  "leveler",
+  "liaised",
+  "liaises",
+  "libeler",
+  "libidos",
+  "liefest",
+  "liftoff",
+  "lignite",
+  "limeade",
+  "limiest",
+  "limning",
+  "limpets",
+  "lindens",
+  "lineman",
+  "linemen",
+  "lineups",
+  "lingual",
+  "linkups",
+  "linnets",
+  "linseed",
+  "lintels",
+  "lionize",
+  "lipread",
+  "lissome",
+  "litchis",
+  "lividly",
+  "loaders",
+  "loamier",
+  "loaners",
+  "lockjaw",
+  "lockout",
+  "lockups",
+  "loftily",
+  "logbook",
+  "loggers",
+  "logjams",
+  "logoffs",
+  "logouts",
+  "lolcats",
+  "loopier",
+  "looters",
+  "loutish",
+  "louvers",
+  "lowbrow",
+  "lowland",
+  "lowness",
+  "loyally",
+  "lubbers",
+  "lucidly",
+  "lumbago",
+  "lumpish",
+  "luridly",
+  "lustful",
+  "lustily",
+  "lyceums",
+  "macadam",
+  "macrons",
+  "madders",
+  "madrasa",
+  "maestro",
+  "magneto",
+  "magnums",
+  "mahatma",
+  "mailers",
+  "majorly",
+  "makings",
+  "malaise",
+  "mallows",
+  "malteds",
+  "malware",
+  "mamboed",
+  "mammary",
+  "manatee",
+  "manhunt",
+  "manikin",
+  "mansard",
+  "mantras",
+  "manumit",
+  "marabou",
+  "maracas",
+  "marauds",
+  "marimba",
+  "markups",
+  "marlins",
+  "marmots",
+  "marquis",
+  "martens",
+  "martini",
+  "martins",
+  "mashers",
+  "mashups",
+  "masonic",
+  "masques",
+  "masseur",
+  "mastiff",
+  "mastoid",
+  "mattock",
+  "matzohs",
+  "matzoth",
+  "maunder",
+  "mawkish",
+  "maxilla",
+  "maydays",
+  "mayoral",
+  "maypole",
+  "mazurka",
+  "meatier",
+  "medians",
+  "medulla",
+  "melange",
+  "melanin",
+  "melding",
+  "menages",
+  "menders",
+  "menfolk",
+  "menorah",
+  "merinos",
+  "mescals",
+  "messiah",
+  "messily",
+  "mestizo",
+  "methane",
+  "metrics",
+  "mewling",
+  "miasmas",
+  "microns",
+  "middies",
+  "midland",
+  "midmost",
+  "midterm",
+  "midtown",
+  "midweek",
+  "midyear",
+  "miffing",
+  "milieus",
+  "milksop",
+  "millage",
+  "mimetic",
+  "mimosas",
+  "minaret",
+  "minicam",
+  "minivan",
+  "minster",
+  "mintier",
+  "minuend",
+  "minutia",
+  "miscall",
+  "miscast",
+  "miscued",
+  "miscues",
+  "misdeal",
+  "misdoes",
+  "misdone",
+  "misfire",
+  "misplay",
+  "misrule",
+  "missals",
+  "misstep",
+  "misters",
+  "mistily",
+  "mistime",
+  "mitered",
+  "mitosis",
+  "mizzens",
+  "mobster",
+  "mockers",
+  "modulus",
+  "moistly",
+  "molders",
+  "mommies",
+  "moneyed",
+  "mongers",
+  "moniker",
+  "monocle",
+  "montage",
+  "mooched",
+  "moocher",
+  "mooches",
+  "moonlit",
+  "moppets",
+  "moraine",
+  "mordant",
+  "morocco",
+  "morrows",
+  "mortise",
+  "moseyed",
+  "motiles",
+  "mottled",
+  "mottles",
+  "mousers",
+  "muckier",
+  "muezzin",
+  "muggles",
+  "mukluks",
+  "mulatto",
+  "mullahs",
+  "mullets",
+  "mullion",
+  "mumbler",
+  "mummers",
+  "mummery",
+  "murkily",
+  "musings",
+  "muskier",
+  "muskrat",
+  "mussier",
+  "mutable",
+  "muumuus",
+  "myrtles",
+  "nakedly",
+  "nannies",
+  "naphtha",
+  "nappier",
+  "narwhal",
+  "nasally",
+  "nascent",
+  "nattily",
+  "nebular",
+  "needful",
+  "nemeses",
+  "nemesis",
+  "neocons",
+  "neonate",
+  "nerdier",
+  "nervier",
+  "netbook",
+  "newness",
+  "newsboy",
+  "newsman",
+  "newsmen",
+  "newtons",
+  "nexuses",
+  "nibbler",
+  "niggard",
+  "niggers",
+  "niggled",
+  "niggles",
+  "nighest",
+  "nightie",
+  "ninepin",
+  "nippers",
+  "nirvana",
+  "nitpick",
+  "nodular",
+  "nodules",
+  "noggins",
+  "noisome",
+  "noncoms",
+  "nonplus",
+  "nonskid",
+  "nonuser",
+  "nonzero",
+  "noonday",
+  "nosegay",
+  "noshing",
+  "nostrum",
+  "notepad",
+  "novella",
+  "nuanced",
+  "nucleic",
+  "nudists",
+  "nullity",
+  "nuncios",
+  "nunnery",
+  "nutmeat",
+  "nutrias",
+  "oarlock",
+  "oarsman",
+  "oarsmen",
+  "obloquy",
+  "oboists",
+  "obsequy",
+  "obtrude",
+  "obverse",
+  "obviate",
+  "ocarina",
+  "occlude",
+  "ocelots",
+  "oculist",
+  "oddball",
+  "oddness",
+  "odorous",
+  "odyssey",
+  "offside",
+  "oilskin",
+  "oinking",
+  "oneness",
+  "onetime",
+  "onshore",
+  "opacity",
+  "opiates",
+  "opining",
+  "orating",
+  "ordinal",
+  "oregano",
+  "organdy",
+  "orgasms",
+  "origami",
+  "orioles",
+  "orotund",
+  "osmotic",
+  "ospreys",
+  "ottoman",
+  "outages",
+  "outback",
+  "outbids",
+  "outcrop",
+  "outgoes",
+  "outplay",
+  "outrank",
+  "outsell",
+  "outsize",
+  "outsold",
+  "outstay",
+  "outtake",
+  "outvote",
+  "outwear",
+  "outwore",
+  "outworn",
+  "ovarian",
+  "overact",
+  "overage",
+  "overawe",
+  "overjoy",
+  "overpay",
+  "overtax",
+  "oviduct",
+  "ovulate",
+  "oxfords",
+  "oxymora",
+  "pailful",
+  "paisley",
+  "palatal",
+  "palaver",
+  "palazzi",
+  "palazzo",
+  "palings",
+  "pallets",
+  "palmier",
+  "palmist",
+  "palpate",
+  "palsied",
+  "palsies",
+  "panache",
+  "pannier",
+  "panoply",
+  "papilla",
+  "papoose",
+  "parapet",
+  "parboil",
+  "parfait",
+  "pariahs",
+  "parings",
+  "parkour",
+  "parlays",
+  "parleys",
+  "parolee",
+  "parquet",
+  "parried",
+  "parries",
+  "partway",
+  "parvenu",
+  "paschal",
+  "passels",
+  "passkey",
+  "pastern",
+  "patella",
+  "patinas",
+  "patsies",
+  "pavings",
+  "pawpaws",
+  "paydays",
+  "paywall",
+  "peafowl",
+  "peahens",
+  "peccary",
+  "peepers",
+  "peerage",
+  "peewees",
+  "pelagic",
+  "pendent",
+  "pennons",
+  "peonage",
+  "peppery",
+  "peppier",
+  "peptics",
+  "percale",
+  "perfidy",
+  "perigee",
+  "periwig",
+  "perming",
+  "permute",
+  "pesetas",
+  "pestled",
+  "pestles",
+  "petards",
+  "petiole",
+  "petrels",
+  "pettily",
+  "phalanx",
+  "phallic",
+  "phallus",
+  "pharaoh",
+  "pharynx",
+  "philter",
+  "phished",
+  "phisher",
+  "phobics",
+  "phoebes",
+  "phoneme",
+  "phrasal",
+  "piazzas",
+  "picante",
+  "pickers",
+  "pidgins",
+  "piebald",
+  "piggier",
+  "piggies",
+  "piglets",
+  "pigskin",
+  "pileups",
+  "pilings",
+  "pillbox",
+  "pillion",
+  "pillory",
+  "pimento",
+  "pimping",
+  "pinball",
+  "pincers",
+  "pinging",
+  "pinhead",
+  "pinhole",
+  "pinkeye",
+  "pinkies",
+  "pinkish",
+  "pinnate",
+  "piously",
+  "pipping",
+  "pippins",
+  "piquant",
+  "pissing",
+  "pistils",
+  "pithily",
+  "pizzazz",
+  "placebo",
+  "placers",
+  "placket",
+  "plaints",
+  "plaited",
+  "platens",
+  "plaudit",
+  "playact",
+  "playboy",
+  "playoff",
+  "pleader",
+  "plectra",
+  "plenary",
+  "pliancy",
+  "plinths",
+  "plodder",
+  "plovers",
+  "plowman",
+  "plowmen",
+  "plugins",
+  "plunked",
+  "pocking",
+  "podcast",
+  "poetess",
+  "pogroms",
+  "polecat",
+  "politic",
+  "polymer",
+  "pomaded",
+  "pomades",
+  "pommels",
+  "pompoms",
+  "poniard",
+  "pontiff",
+  "pooched",
+  "pooches",
+  "poohing",
+  "popguns",
+  "popover",
+  "porcine",
+  "portage",
+  "poseurs",
+  "poshest",
+  "posited",
+  "postdoc",
+  "postwar",
+  "potable",
+  "potfuls",
+  "pothook",
+  "potluck",
+  "potpies",
+  "potshot",
+  "pottage",
+  "pottier",
+  "potties",
+  "praline",
+  "prancer",
+  "prating",
+  "preachy",
+  "precept",
+  "predate",
+  "preheat",
+  "prelate",
+  "prenups",
+  "prepped",
+  "prequel",
+  "presage",
+  "presets",
+  "prestos",
+  "preteen",
+  "pricier",
+  "primacy",
+  "prithee",
+  "privets",
+  "probate",
+  "probity",
+  "proctor",
+  "pronged",
+  "propane",
+  "prorate",
+  "prosaic",
+  "prosier",
+  "prosody",
+  "protean",
+  "provost",
+  "prudery",
+  "psychos",
+  "puckish",
+  "puerile",
+  "puffins",
+  "pullers",
+  "pullets",
+  "pullout",
+  "pulpier",
+  "pulsars",
+  "pumpers",
+  "punster",
+  "purists",
+  "puritan",
+  "purling",
+  "purloin",
+  "pursers",
+  "pursuer",
+  "purveys",
+  "purview",
+  "pustule",
+  "putrefy",
+  "puzzler",
+  "pygmies",
+  "quaffed",
+  "quahogs",
+  "quartos",
+  "quasars",
+  "quavery",
+  "queerly",
+  "quiches",
+  "quickie",
+  "quietus",
+  "quilter",
+  "quinces",
+  "quoited",
+  "quondam",
+  "racemes",
+  "raceway",
+  "raffish",
+  "raggedy",
+  "raglans",
+  "ragouts",
+  "ragtags",
+  "ragweed",
+  "raiment",
+  "rampart",
+  "randier",
+  "rangier",
+  "rapiers",
+  "rappers",
+  "rashers",
+  "raspier",
+  "ratchet",
+  "rattans",
+  "rattier",
+  "rattrap",
+  "raunchy",
+  "ravioli",
+  "rawhide",
+  "rawness",
+  "razzing",
+  "readmit",
+  "readout",
+  "reagent",
+  "realign",
+  "reamers",
+  "reapply",
+  "rearmed",
+  "rebuses",
+  "recasts",
+  "recheck",
+  "rectory",
+  "redcaps",
+  "redcoat",
+  "reddish",
+  "redneck",
+  "redness",
+  "redoubt",
+  "redound",
+  "redrawn",
+  "redraws",
+  "redskin",
+  "redwood",
+  "reedier",
+  "reefers",
+  "reenact",
+  "reenter",
+  "reentry",
+  "reeving",
+  "reffing",
+  "refiled",
+  "refiles",
+  "refiner",
+  "refocus",
+  "refract",
+  "regally",
+  "regency",
+  "regroup",
+  "reheats",
+  "rehired",
+  "rehires",
+  "reissue",
+  "relabel",
+  "relearn",
+  "remands",
+  "remarry",
+  "rematch",
+  "remount",
+  "remover",
+  "renters",
+  "reoccur",
+  "reorder",
+  "reorged",
+  "repaint",
+  "repasts",
+  "replays",
+  "reprise",
+  "reproof",
+  "requite",
+  "resales",
+  "resells",
+  "respell",
+  "respire",
+  "restate",
+  "restock",
+  "restudy",
+  "retaken",
+  "retakes",
+  "retells",
+  "retinal",
+  "retinue",
+  "retiree",
+  "retools",
+  "retouch",
+  "retrain",
+  "retread",
+  "retrial",
+  "retried",
+  "retweet",
+  "retyped",
+  "retypes",
+  "reunify",
+  "revalue",
+  "reviler",
+  "rewinds",
+  "rewired",
+  "rewires",
+  "rewords",
+  "reworks",
+  "rewound",
+  "rhizome",
+  "rhodium",
+  "rhombus",
+  "rickets",
+  "ricking",
+  "ricotta",
+  "riffing",
+  "riffled",
+  "riffles",
+  "ringers",
+  "rippers",
+  "ripsaws",
+  "risible",
+  "ritzier",
+  "riveter",
+  "rivulet",
+  "roadbed",
+  "roadway",
+  "roamers",
+  "roaster",
+  "robotic",
+  "roebuck",
+  "rogered",
+  "roguery",
+  "roiling",
+  "roister",
+  "rollick",
+  "romaine",
+  "rompers",
+  "roofers",
+  "rooftop",
+  "rookery",
+  "roomers",
+  "roomful",
+  "roseate",
+  "rosebud",
+  "rosette",
+  "rosined",
+  "roundly",
+  "roundup",
+  "roweled",
+  "rubbery",
+  "rubdown",
+  "rubella",
+  "rubrics",
+  "rugrats",
+  "rumbaed",
+  "runnels",
+  "runoffs",
+  "russets",
+  "sachems",
+  "sachets",
+  "sackful",
+  "saguaro",
+  "salaams",
+  "salines",
+  "sallied",
+  "sallies",
+  "saltine",
+  "salvers",
+  "sambaed",
+  "samovar",
+  "sampans",
+  "samurai",
+  "sanctum",
+  "sandbar",
+  "sandbox",
+  "sanders",
+  "sandhog",
+  "sandlot",
+  "sapient",
+  "sappier",
+  "sarcoma",
+  "sarongs",
+  "sashays",
+  "sassing",
+  "satiate",
+  "satiety",
+  "satraps",
+  "saucily",
+  "savanna",
+  "savants",
+  "sawmill",
+  "sawyers",
+  "scabies",
+  "scalene",
+  "scalper",
+  "scammed",
+  "scammer",
+  "scapula",
+  "scarabs",
+  "scarify",
+  "scatted",
+  "scherzo",
+  "schisms",
+  "schleps",
+  "schlock",
+  "schmuck",
+  "sciatic",
+  "sconces",
+  "scorers",
+  "scraper",
+  "scrappy",
+  "scrimps",
+  "scrooge",
+  "scrotum",
+  "scrubby",
+  "scrunch",
+  "scubaed",
+  "scudded",
+  "sculled",
+  "sculpts",
+  "scumbag",
+  "scupper",
+  "seabeds",
+  "seabird",
+  "sealant",
+  "sealers",
+  "seamier",
+  "seaward",
+  "seaways",
+  "seducer",
+  "seeings",
+  "seekers",
+  "seismic",
+  "selfies",
+  "selloff",
+  "sellout",
+  "seltzer",
+  "selvage",
+  "seminal",
+  "senders",
+  "septets",
+  "sequoia",
+  "serapes",
+  "seraphs",
+  "serfdom",
+  "serried",
+  "sesames",
+  "settees",
+  "sexiest",
+  "sexists",
+  "sexless",
+  "sexpots",
+  "sextant",
+  "sextets",
+  "sexting",
+  "sextons",
+  "shagged",
+  "shakers",
+  "shakeup",
+  "shakily",
+  "shallot",
+  "shamans",
+  "shariah",
+  "shearer",
+  "shebang",
+  "shekels",
+  "shellac",
+  "shilled",
+  "shimmed",
+  "shindig",
+  "shiners",
+  "shipper",
+  "shirker",
+  "shirred",
+  "shivery",
+  "shocker",
+  "shoguns",
+  "shooter",
+  "showbiz",
+  "showery",
+  "showily",
+  "showoff",
+  "shrikes",
+  "shrilly",
+  "shrived",
+  "shriven",
+  "shrives",
+  "shrubby",
+  "shticks",
+  "shushed",
+  "shushes",
+  "shuteye",
+  "shutout",
+  "shyster",
+  "sickbed",
+  "sidearm",
+  "sidebar",
+  "sidecar",
+  "sierras",
+  "sifters",
+  "signers",
+  "signets",
+  "silkier",
+  "simians",
+  "simpers",
+  "sinkers",
+  "sinuous",
+  "sirocco",
+  "sitcoms",
+  "skitter",
+  "skycaps",
+  "skydive",
+  "skyjack",
+  "skylark",
+  "skyward",
+  "slackly",
+  "slaloms",
+  "slammer",
+  "slather",
+  "slavers",
+  "slayers",
+  "sleazes",
+  "sledged",
+  "sledges",
+  "sleekly",
+  "sleuths",
+  "slicers",
+  "slickly",
+  "sliders",
+  "slouchy",
+  "sloughs",
+  "slovens",
+  "slugger",
+  "slumdog",
+  "slurped",
+  "smacker",
+  "smarten",
+  "smelter",
+  "snaffle",
+  "snakier",
+  "snapper",
+  "snifter",
+  "snivels",
+  "snooper",
+  "snorers",
+  "snowman",
+  "snowmen",
+  "snuffle",
+  "soapbox",
+  "soberly",
+  "softies",
+  "soggily",
+  "solaria",
+  "solvers",
+  "someway",
+  "sonnies",
+  "sophism",
+  "sophist",
+  "soppier",
+  "sorbets",
+  "sorghum",
+  "sorrels",
+  "sorters",
+  "sortied",
+  "sorties",
+  "sottish",
+  "soughed",
+  "soulful",
+  "soupier",
+  "sousing",
+  "soviets",
+  "soybean",
+  "spacier",
+  "spammed",
+  "spammer",
+  "spandex",
+  "sparely",
+  "spartan",
+  "spastic",
+  "speckle",
+  "speeder",
+  "speedup",
+  "spender",
+  "spidery",
+  "spieled",
+  "spikier",
+  "spindle",
+  "spinets",
+  "spinier",
+  "spinner",
+  "spireas",
+  "splashy",
+  "splayed",
+  "splicer",
+  "splines",
+  "splodge",
+  "splotch",
+  "spoiler",
+  "sponger",
+  "spoored",
+  "sporing",
+  "spotter",
+  "sprayer",
+  "sprites",
+  "spuming",
+  "spumoni",
+  "spyware",
+  "squashy",
+  "squirmy",
+  "squishy",
+  "staffer",
+  "staidly",
+  "stalker",
+  "stamens",
+  "starkly",
+  "starlet",
+  "starlit",
+  "startup",
+  "stashed",
+  "stashes",
+  "steamer",
+  "steeply",
+  "stepdad",
+  "stepmom",
+  "steppes",
+  "stepson",
+  "sternum",
+  "steroid",
+  "stickup",
+  "stinker",
+  "stipend",
+  "stipple",
+  "stirrer",
+  "stokers",
+  "stoners",
+  "stonily",
+  "stooges",
+  "storied",
+  "stoutly",
+  "strafed",
+  "strafes",
+  "streaky",
+  "strobes",
+  "strophe",
+  "strudel",
+  "stubbly",
+  "stylist",
+  "stylize",
+  "stymied",
+  "stymies",
+  "styptic",
+  "suavely",
+  "suavity",
+  "subhead",
+  "subjoin",
+  "suborns",
+  "subplot",
+  "subsoil",
+  "subsume",
+  "subteen",
+  "sucrose",
+  "sudsier",
+  "suffuse",
+  "sulfate",
+  "sulfide",
+  "sulfurs",
+  "sulkily",
+  "sullied",
+  "sullies",
+  "sultana",
+  "summery",
+  "sunbeam",
+  "sunders",
+  "sunfish",
+  "sunlamp",
+  "sunless",
+  "sunroof",
+  "sunspot",
+  "supping",
+  "surfeit",
+  "surfers",
+  "surreys",
+  "sutured",
+  "sutures",
+  "svelter",
+  "swaddle",
+  "swagged",
+  "swanked",
+  "swanker",
+  "swashed",
+  "swashes",
+  "swatter",
+  "swearer",
+  "sweetie",
+  "swelter",
+  "swimmer",
+  "swinger",
+  "swinish",
+  "syncing",
+  "synergy",
+  "tableau",
+  "tabular",
+  "tackler",
+  "tactile",
+  "taffeta",
+  "taffies",
+  "takeout",
+  "takings",
+  "tallyho",
+  "tamable",
+  "tamales",
+  "tamping",
+  "tampons",
+  "tanager",
+  "tangelo",
+  "tangier",
+  "tankful",
+  "tanners",
+  "tannery",
+  "tapioca",
+  "taproom",
+  "taproot",
+  "tardily",
+  "tarmacs",
+  "tarpons",
+  "tasered",
+  "tasters",
+  "tatters",
+  "tatting",
+  "tattler",
+  "teargas",
+  "tearier",
+  "tearoom",
+  "teasels",
+  "teasers",
+  "teatime",
+  "teenier",
+  "telexed",
+  "telexes",
+  "temblor",
+  "tempera",
+  "temping",
+  "tempter",
+  "tempura",
+  "tenfold",
+  "tenoned",
+  "tenpins",
+  "tensely",
+  "tensile",
+  "tequila",
+  "terabit",
+  "testate",
+  "testier",
+  "testily",
+  "texting",
+  "thalami",
+  "thereto",
+  "thermos",
+  "thieved",
+  "thirdly",
+  "thither",
+  "thorium",
+  "thralls",
+  "throaty",
+  "thrower",
+  "thruway",
+  "thwacks",
+  "thyself",
+  "tickers",
+  "tidings",
+  "tigress",
+  "tillage",
+  "tillers",
+  "timbres",
+  "timpani",
+  "tinfoil",
+  "tippers",
+  "tippled",
+  "tippler",
+  "tipples",
+  "tipsily",
+  "tipster",
+  "tiptops",
+  "titanic",
+  "tithing",
+  "titmice",
+  "tittles",
+  "titular",
+  "tizzies",
+  "toadied",
+  "toadies",
+  "tocsins",
+  "toddies",
+  "toehold",
+  "toggled",
+  "toggles",
+  "toilers",
+  "toniest",
+  "tonsure",
+  "toolbar",
+  "toolbox",
+  "toothed",
+  "topcoat",
+  "topknot",
+  "topless",
+  "topmast",
+  "topmost",
+  "topsail",
+  "topside",
+  "topsoil",
+  "torqued",
+  "torques",
+  "torsion",
+  "tossups",
+  "totemic",
+  "toughly",
+  "tourism",
+  "tourney",
+  "towhead",
+  "towpath",
+  "toxemia",
+  "tracers",
+  "tracery",
+  "trachea",
+  "tracker",
+  "traduce",
+  "traipse",
+  "trammed",
+  "trammel",
+  "transom",
+  "travail",
+  "treadle",
+  "treetop",
+  "trefoil",
+  "tremolo",
+  "tresses",
+  "tribune",
+  "triceps",
+  "trident",
+  "trifler",
+  "trisect",
+  "tritely",
+  "trivets",
+  "trochee",
+  "troikas",
+  "trollop",
+  "tromped",
+  "tropics",
+  "tropism",
+  "trotter",
+  "trouper",
+  "trucker",
+  "truckle",
+  "trundle",
+  "trussed",
+  "trusses",
+  "truther",
+  "trysted",
+  "tsunami",
+  "tubbier",
+  "tuckers",
+  "tugboat",
+  "tumbrel",
+  "tunnies",
+  "turbots",
+  "turners",
+  "turnkey",
+  "turnoff",
+  "tussock",
+  "twaddle",
+  "tweeter",
+  "twerked",
+  "twilled",
+  "twirler",
+  "twitted",
+  "twofers",
+  "twofold",
+  "twosome",
+  "ukulele",
+  "ululate",
+  "umbrage",
+  "umlauts",
+  "unaided",
+  "unasked",
+  "unbends",
+  "unbinds",
+  "unbolts",
+  "unbosom",
+  "unbound",
+  "uncased",
+  "uncivil",
+  "unclasp",
+  "uncoils",
+  "uncorks",
+  "unction",
+  "undated",
+  "uneaten",
+  "unfrock",
+  "unguent",
+  "unhands",
+  "unhinge",
+  "unhitch",
+  "unhorse",
+  "unitary",
+  "unlaced",
+  "unlaces",
+  "unlatch",
+  "unlearn",
+  "unloose",
+  "unloved",
+  "unmakes",
+  "unmanly",
+  "unmoral",
+  "unpaved",
+  "unplugs",
+  "unquote",
+  "unready",
+  "unriper",
+  "unrolls",
+  "unseals",
+  "unsnaps",
+  "unsnarl",
+  "unstops",
+  "untamed",
+  "untried",
+  "untruth",
+  "untwist",
+  "upbraid",
+  "upchuck",
+  "updater",
+  "updraft",
+  "upfront",
+  "uplands",
+  "upraise",
+  "upscale",
+  "upsides",
+  "upstage",
+  "upstate",
+  "upsurge",
+  "upswing",
+  "uptakes",
+  "urethra",
+  "urinals",
+  "urinary",
+  "urology",
+  "usurers",
+  "usurper",
+  "uterine",
+  "utopias",
+  "uvulars",
+  "vacuity",
+  "valance",
+  "valence",
+  "vamoose",
+  "vamping",
+  "vantage",
+  "variate",
+  "varlets",
+  "varmint",
+  "vassals",
+  "vaulter",
+  "vaunted",
+  "veggies",
+  "velours",
+  "venally",
+  "ventral",
+  "verbena",
+  "verdant",
+  "verdure",
+  "versify",
+  "vesicle",
+  "vespers",
+  "vetches",
+  "vibrato",
+  "viceroy",
+  "victual",
+  "villein",
+  "vintner",
+  "violist",
+  "virgule",
+  "visages",
+  "viscera",
+  "viscous",
+  "vitiate",
+  "vitriol",
+  "viziers",
+  "vocalic",
+  "vocally",
+  "voguish",
+  "voltaic",
+  "voluble",
+  "volubly",
+  "voyeurs",
+  "wackest",
+  "wackier",
+  "waggish",
+  "waggled",
+  "waggles",
+  "wagoner",
+  "wakeful",
+  "walkway",
+  "wallaby",
+  "walleye",
+  "wangled",
+  "wangles",
+  "wannabe",
+  "wapitis",
+  "warbler",
+  "warders",
+  "warlock",
+  "warlord",
+  "warmers",
+  "warship",
+  "warthog",
+  "wartier",
+  "washtub",
+  "waspish",
+  "wassail",
+  "wasters",
+  "wastrel",
+  "watcher",
+  "wattage",
+  "wattled",
+  "wattles",
+  "wavelet",
+  "waxwing",
+  "waxwork",
+  "wearers",
+  "webcams",
+  "webcast",
+  "webinar",
+  "website",
+  "weeders",
+  "weepers",
+  "weepier",
+  "weepies",
+  "weevils",
+  "weirdly",
+  "welshed",
+  "welshes",
+  "wenches",
+  "wending",
+  "wetback",
+  "wetland",
+  "wetness",
+  "whammed",
+  "whatnot",
+  "wheaten",
+  "wheeler",
+  "whelked",
+  "whelped",
+  "whereat",
+  "whereof",
+  "whereon",
+  "whiners",
+  "whinier",
+  "whippet",
+  "whither",
+  "whiting",
+  "whitish",
+  "whoopee",
+  "whorled",
+  "wieners",
+  "wiggler",
+  "wigwags",
+  "willies",
+  "willowy",
+  "wimpier",
+  "wimpled",
+  "wimples",
+  "windbag",
+  "windups",
+  "wingnut",
+  "wingtip",
+  "winnows",
+  "wiretap",
+  "wishers",
+  "wittily",
+  "wolfish",
+  "wolfram",
+  "womanly",
+  "woodcut",
+  "woodman",
+  "woodmen",
+  "woofers",
+  "woozier",
+  "workday",
+  "wormier",
+  "worrier",
+  "wraiths",
+  "wriggly",
+  "wrinkly",
+  "wryness",
+  "yammers",
+  "yardage",
+  "yardarm",
+  "yeshiva",
+  "yipping",
+  "yodeler",
+  "yttrium",
+  "yuckier",
+  "yukking",
+  "yummier",
+  "yuppies",
+  "zappers",
+  "zapping",
+  "zealots",
+  "zephyrs",
+  "zestful",
+  "zingers",
+  "zinging",
+  "zinnias",
+  "zippier",
+  "zircons",
+  "zithers",
+  "zygotes"
+];
+
+/**
+ * Every accepted 7-letter word (answers + valid guesses), sorted
+ */
+export const SOLUTIONS_LIST = [...ANSWERS_LIST, ...VALID_GUESSES_LIST].sort();
@@ -0,0 +1,10167 @@
+// src/data/wordsByLength/words8.js
+//
+// 8-LETTER WORD LIST (generated by scripts/buildWordLists.js - do not edit by hand)
+//
+// Split into two lists, like solutions.js:
+// - ANSWERS_LIST: common words (SCOWL sizes 10-35), the likely answers in Wordle clones
+// - VALID_GUESSES_LIST: less common words accepted as guesses (SCOWL sizes up to 50)
+//
+// Word lists derived from SCOWL (http://wordlist.aspell.net/):
+//   Copyright 2000-2016 by Kevin Atkinson
+//   Permission to use, copy, modify, distribute and sell these word
+//   lists, the associated scripts, the output created from the scripts,
+//   and its documentation for any purpose is hereby granted without fee,
+//   provided that the above copyright notice appears in all copies and
+//   that both that copyright notice and this permission notice appear in
+//   supporting documentation. Kevin Atkinson makes no representations
+//   about the suitability of this array for any purpose. It is provided
+//   "as is" without express or implied warranty.
+
+/**
+ * Common 8-letter words (likely answers)
+ * Total: 6524 words
+ */
+export const ANSWERS_LIST = [
+  "aardvark",
+  "abacuses",
+  "abandons",
+  "abdicate",
+  "abdomens",
+  "abducted",
+  "abetting",
+  "abhorred",
+  "abnormal",
+  "aborting",
+  "abortion",
+  "abortive",
+  "abounded",
+  "abrasive",
+  "abridged",
+  "abridges",
+  "abrupter",
+  "abruptly",
+  "absconds",
+  "absences",
+  "absented",
+  "absentee",
+  "absolute",
+  "absolved",
+  "absolves",
+  "absorbed",
+  "abstains",
+  "abstract",
+  "abstruse",
+  "absurder",
+  "absurdly",
+  "abundant",
+  "academic",
+  "acceding",
+  "accented",
+  "accepted",
+  "accessed",
+  "accesses",
+  "accident",
+  "acclaims",
+  "accolade",
+  "accorded",
+  "accosted",
+  "accounts",
+  "accredit",
+  "accruing",
+  "accuracy",
+  "accurate",
+  "accusers",
+  "accusing",
+  "accustom",
+  "achieved",
+  "achieves",
+  "acoustic",
+  "acquaint",
+  "acquired",
+  "acquires",
+  "acreages",
+  "acridest",
+  "acrimony",
+  "acrobats",
+  "acronyms",
+  "acrylics",
+  "activate",
+  "actively",
+  "activist",
+  "activity",
+  "actually",
+  "adapting",
+  "adaptive",
+  "addendum",
+  "addicted",
+  "addition",
+  "additive",
+  "adequate",
+  "adherent",
+  "adhering",
+  "adhesion",
+  "adhesive",
+  "adjacent",
+  "adjoined",
+  "adjourns",
+  "adjuncts",
+  "adjusted",
+  "admirals",
+  "admirers",
+  "admiring",
+  "admitted",
+  "admonish",
+  "adopting",
+  "adoption",
+  "adorable",
+  "adorning",
+  "adroitly",
+  "adultery",
+  "advanced",
+  "advances",
+  "adverser",
+  "advisers",
+  "advising",
+  "advisory",
+  "advocate",
+  "aerosols",
+  "affected",
+  "affinity",
+  "affirmed",
+  "affixing",
+  "afflicts",
+  "affluent",
+  "afforded",
+  "affronts",
+  "agencies",
+  "agitated",
+  "agitates",
+  "agitator",
+  "agnostic",
+  "agonized",
+  "agonizes",
+  "agreeing",
+  "ailments",
+  "airborne",
+  "aircraft",
+  "airfield",
+  "airliner",
+  "airlines",
+  "airmails",
+  "airplane",
+  "airports",
+  "airstrip",
+  "airtight",
+  "alarming",
+  "alarmist",
+  "alcohols",
+  "alerting",
+  "aliasing",
+  "alibiing",
+  "alienate",
+  "aliening",
+  "alighted",
+  "aligning",
+  "alkalies",
+  "alkaline",
+  "allaying",
+  "alleging",
+  "allegory",
+  "allergic",
+  "alliance",
+  "allocate",
+  "allotted",
+  "allowing",
+  "alloying",
+  "alluding",
+  "alluring",
+  "allusion",
+  "almanacs",
+  "almighty",
+  "alphabet",
+  "altering",
+  "although",
+  "altitude",
+  "altruism",
+  "aluminum",
+  "amassing",
+  "amateurs",
+  "ambiance",
+  "ambition",
+  "ambushed",
+  "ambushes",
+  "amenable",
+  "amending",
+  "amethyst",
+  "amicable",
+  "amicably",
+  "amounted",
+  "amputate",
+  "analogue",
+  "analyses",
+  "analysis",
+  "analysts",
+  "analytic",
+  "analyzed",
+  "analyzer",
+  "analyzes",
+  "anarchic",
+  "anathema",
+  "ancestor",
+  "ancestry",
+  "anchored",
+  "ancients",
+  "androids",
+  "anecdote",
+  "angering",
+  "angriest",
+  "animated",
+  "animates",
+  "annexing",
+  "annotate",
+  "announce",
+  "annoying",
+  "annually",
+  "annulled",
+  "anointed",
+  "answered",
+  "anteater",
+  "antelope",
+  "antennae",
+  "antennas",
+  "anthills",
+  "antibody",
+  "antidote",
+  "antiqued",
+  "antiques",
+  "antonyms",
+  "anyplace",
+  "anything",
+  "anywhere",
+  "aperture",
+  "aphorism",
+  "apostles",
+  "appalled",
+  "apparels",
+  "apparent",
+  "appealed",
+  "appeared",
+  "appeased",
+  "appeases",
+  "appended",
+  "appendix",
+  "appetite",
+  "applauds",
+  "applause",
+  "applying",
+  "appoints",
+  "apposite",
+  "appraise",
+  "approach",
+  "approval",
+  "approved",
+  "approves",
+  "apricots",
+  "aptitude",
+  "aquarium",
+  "aquatics",
+  "aqueduct",
+  "arbiters",
+  "archived",
+  "archives",
+  "archways",
+  "ardently",
+  "arguable",
+  "arguably",
+  "argument",
+  "armament",
+  "armchair",
+  "armories",
+  "armoring",
+  "aromatic",
+  "arousing",
+  "arraigns",
+  "arranged",
+  "arranges",
+  "arraying",
+  "arrested",
+  "arrivals",
+  "arriving",
+  "arrogant",
+  "arsenals",
+  "arterial",
+  "arteries",
+  "articles",
+  "artifact",
+  "artifice",
+  "artisans",
+  "artistic",
+  "artistry",
+  "asbestos",
+  "ascended",
+  "ascetics",
+  "ascribed",
+  "ascribes",
+  "ashtrays",
+  "asphalts",
+  "aspirant",
+  "aspiring",
+  "aspirins",
+  "assailed",
+  "assassin",
+  "assaults",
+  "assemble",
+  "assembly",
+  "assented",
+  "asserted",
+  "assessed",
+  "assesses",
+  "assessor",
+  "assigned",
+  "assisted",
+  "assorted",
+  "assuming",
+  "assureds",
+  "assuring",
+  "asterisk",
+  "asteroid",
+  "astonish",
+  "astounds",
+  "astutely",
+  "astutest",
+  "atheists",
+  "athletes",
+  "athletic",
+  "atrocity",
+  "attached",
+  "attacked",
+  "attacker",
+  "attained",
+  "attempts",
+  "attended",
+  "attested",
+  "attiring",
+  "attitude",
+  "attorney",
+  "attracts",
+  "auctions",
+  "audacity",
+  "audibles",
+  "audience",
+  "auditing",
+  "audition",
+  "auditors",
+  "auditory",
+  "augments",
+  "auguster",
+  "austerer",
+  "authored",
+  "autocrat",
+  "automate",
+  "autonomy",
+  "autumnal",
+  "availing",
+  "avenging",
+  "averaged",
+  "averages",
+  "aversion",
+  "averting",
+  "aviation",
+  "aviators",
+  "avocados",
+  "avoiding",
+  "awaiting",
+  "awakened",
+  "awarding",
+  "awfuller",
+  "babbling",
+  "bachelor",
+  "backbone",
+  "backfire",
+  "backhand",
+  "backings",
+  "backlash",
+  "backlogs",
+  "backpack",
+  "backside",
+  "backward",
+  "bacteria",
+  "badgered",
+  "baffling",
+  "baggiest",
+  "bakeries",
+  "balanced",
+  "balances",
+  "baldness",
+  "ballasts",
+  "balloons",
+  "balloted",
+  "ballroom",
+  "balmiest",
+  "bandaged",
+  "bandages",
+  "bandanna",
+  "bandiest",
+  "bandying",
+  "banished",
+  "banishes",
+  "banister",
+  "banknote",
+  "bankrupt",
+  "banquets",
+  "bantered",
+  "baptisms",
+  "baptized",
+  "baptizes",
+  "barbaric",
+  "barbecue",
+  "barbered",
+  "bareback",
+  "barefoot",
+  "bargains",
+  "baritone",
+  "barnacle",
+  "barnyard",
+  "barraged",
+  "barrages",
+  "barreled",
+  "barrener",
+  "barrette",
+  "barriers",
+  "barrings",
+  "bartered",
+  "baseball",
+  "baseline",
+  "basement",
+  "bassoons",
+  "bastards",
+  "batching",
+  "bathroom",
+  "bathtubs",
+  "battered",
+  "battling",
+  "bawdiest",
+  "bayonets",
+  "beaching",
+  "beadiest",
+  "bearable",
+  "bearding",
+  "bearings",
+  "beauties",
+  "beautify",
+  "beavered",
+  "beckoned",
+  "becoming",
+  "bedrocks",
+  "bedrooms",
+  "bedsides",
+  "bedtimes",
+  "beefiest",
+  "beehives",
+  "beetling",
+  "befallen",
+  "befitted",
+  "befriend",
+  "beggared",
+  "beginner",
+  "begrudge",
+  "beguiled",
+  "beguiles",
+  "behalves",
+  "behaving",
+  "behavior",
+  "beheaded",
+  "beholder",
+  "belabors",
+  "belching",
+  "belfries",
+  "believed",
+  "believer",
+  "believes",
+  "belittle",
+  "bellboys",
+  "bellhops",
+  "bellowed",
+  "bellying",
+  "belonged",
+  "beloveds",
+  "bemoaned",
+  "bemusing",
+  "benching",
+  "benefits",
+  "bequeath",
+  "bequests",
+  "bereaved",
+  "bereaves",
+  "berrying",
+  "berthing",
+  "besieged",
+  "besieges",
+  "besought",
+  "bestowed",
+  "betrayal",
+  "betrayed",
+  "bettered",
+  "beverage",
+  "bewaring",
+  "bewilder",
+  "biblical",
+  "bickered",
+  "bicycled",
+  "bicycles",
+  "biennial",
+  "bifocals",
+  "bigamist",
+  "bigamous",
+  "billfold",
+  "billions",
+  "billowed",
+  "binaries",
+  "bindings",
+  "binomial",
+  "biplanes",
+  "birching",
+  "birdcage",
+  "birthday",
+  "birthing",
+  "biscuits",
+  "bisected",
+  "bisexual",
+  "bitching",
+  "bitterer",
+  "bitterly",
+  "blabbing",
+  "blackens",
+  "blackest",
+  "blacking",
+  "blackout",
+  "blacktop",
+  "bladders",
+  "blanched",
+  "blanches",
+  "blandest",
+  "blankest",
+  "blankets",
+  "blanking",
+  "blasting",
+  "bleached",
+  "bleaches",
+  "bleakest",
+  "blearier",
+  "bleating",
+  "bleeding",
+  "blending",
+  "blessing",
+  "blighted",
+  "blindest",
+  "blinding",
+  "blinkers",
+  "blinking",
+  "blissful",
+  "blisters",
+  "blithely",
+  "blithest",
+  "blitzing",
+  "blizzard",
+  "blobbing",
+  "blockade",
+  "blockage",
+  "blocking",
+  "bloggers",
+  "blogging",
+  "blondest",
+  "bloodied",
+  "bloodier",
+  "bloodies",
+  "blooding",
+  "blooming",
+  "blossoms",
+  "blotched",
+  "blotches",
+  "blotters",
+  "blotting",
+  "blousing",
+  "blowouts",
+  "blubbers",
+  "bludgeon",
+  "bluebell",
+  "bluebird",
+  "bluffest",
+  "bluffing",
+  "blunders",
+  "bluntest",
+  "blunting",
+  "blurring",
+  "blurting",
+  "blushing",
+  "blusters",
+  "boarders",
+  "boarding",
+  "boastful",
+  "boasting",
+  "bobsleds",
+  "bodywork",
+  "boggling",
+  "boldness",
+  "bolsters",
+  "bombards",
+  "bombings",
+  "bonfires",
+  "bookcase",
+  "bookends",
+  "bookings",
+  "booklets",
+  "bookmark",
+  "bookshop",
+  "bookworm",
+  "boosters",
+  "boosting",
+  "bootlegs",
+  "bordered",
+  "boringly",
+  "boroughs",
+  "borrowed",
+  "bossiest",
+  "botanist",
+  "botching",
+  "bothered",
+  "bottling",
+  "bottomed",
+  "boulders",
+  "bouncing",
+  "boundary",
+  "bounding",
+  "bounties",
+  "bouquets",
+  "boutique",
+  "boycotts",
+  "boyhoods",
+  "bracelet",
+  "brackets",
+  "brackish",
+  "braggart",
+  "bragging",
+  "braiding",
+  "brainier",
+  "braining",
+  "braising",
+  "branched",
+  "branches",
+  "brandied",
+  "brandies",
+  "branding",
+  "brandish",
+  "brashest",
+  "brassier",
+  "brawling",
+  "brawnier",
+  "brazened",
+  "braziers",
+  "breached",
+  "breaches",
+  "breading",
+  "breadths",
+  "breaking",
+  "breasted",
+  "breathed",
+  "breather",
+  "breathes",
+  "breeders",
+  "breeding",
+  "breezier",
+  "breezing",
+  "brethren",
+  "bricking",
+  "bridging",
+  "bridling",
+  "briefest",
+  "briefing",
+  "brigades",
+  "brighten",
+  "brighter",
+  "brightly",
+  "brimming",
+  "bringing",
+  "briniest",
+  "briskest",
+  "brisking",
+  "bristled",
+  "bristles",
+  "britches",
+  "brittler",
+  "broached",
+  "broaches",
+  "broadens",
+  "broadest",
+  "brocaded",
+  "brocades",
+  "broccoli",
+  "brochure",
+  "broilers",
+  "broiling",
+  "brokered",
+  "bronzing",
+  "brooches",
+  "brooding",
+  "brooking",
+  "brothers",
+  "browbeat",
+  "brownest",
+  "brownies",
+  "browning",
+  "browsing",
+  "bruising",
+  "brunched",
+  "brunches",
+  "brunette",
+  "brushing",
+  "brusquer",
+  "brutally",
+  "bubblier",
+  "bubbling",
+  "bucketed",
+  "buckling",
+  "budgeted",
+  "buffered",
+  "buffeted",
+  "buffoons",
+  "buggiest",
+  "builders",
+  "building",
+  "bulkiest",
+  "bulldogs",
+  "bulldoze",
+  "bulletin",
+  "bullfrog",
+  "bullying",
+  "bumpiest",
+  "bunching",
+  "bundling",
+  "bungalow",
+  "bunglers",
+  "bungling",
+  "buoyancy",
+  "burbling",
+  "burdened",
+  "burglars",
+  "burglary",
+  "burliest",
+  "burrowed",
+  "bursting",
+  "busheled",
+  "bushiest",
+  "business",
+  "bustling",
+  "busybody",
+  "butchers",
+  "butchery",
+  "buttered",
+  "buttocks",
+  "buttoned",
+  "buttress",
+  "buzzards",
+  "bypassed",
+  "bypasses",
+  "cabarets",
+  "cabbages",
+  "cabinets",
+  "cabooses",
+  "cackling",
+  "caddying",
+  "cadences",
+  "caffeine",
+  "cajoling",
+  "calamity",
+  "calculus",
+  "calendar",
+  "calibers",
+  "calicoes",
+  "callable",
+  "callings",
+  "callused",
+  "calluses",
+  "calmness",
+  "calories",
+  "campaign",
+  "campuses",
+  "canaries",
+  "canceled",
+  "candidly",
+  "candling",
+  "candying",
+  "canister",
+  "cankered",
+  "cannibal",
+  "canniest",
+  "cannoned",
+  "canoeing",
+  "canopied",
+  "canopies",
+  "canteens",
+  "cantered",
+  "canvased",
+  "canvases",
+  "capacity",
+  "capering",
+  "capitals",
+  "caprices",
+  "capsized",
+  "capsizes",
+  "capsuled",
+  "capsules",
+  "captains",
+  "captions",
+  "captives",
+  "captured",
+  "captures",
+  "caramels",
+  "caravans",
+  "cardigan",
+  "cardinal",
+  "careered",
+  "carefree",
+  "careless",
+  "caressed",
+  "caresses",
+  "caribous",
+  "carnival",
+  "caroling",
+  "caroused",
+  "carouses",
+  "carpeted",
+  "carriage",
+  "carriers",
+  "carrying",
+  "cartoons",
+  "cascaded",
+  "cascades",
+  "cashiers",
+  "cashmere",
+  "cassette",
+  "castaway",
+  "castings",
+  "castling",
+  "castoffs",
+  "castrate",
+  "casually",
+  "casualty",
+  "catalogs",
+  "catapult",
+  "cataract",
+  "catcalls",
+  "catchier",
+  "catching",
+  "category",
+  "caterers",
+  "catering",
+  "catholic",
+  "catwalks",
+  "caucused",
+  "caucuses",
+  "caulking",
+  "causeway",
+  "caustics",
+  "cautions",
+  "cautious",
+  "cavalier",
+  "cavities",
+  "cavorted",
+  "ceilings",
+  "celibacy",
+  "celibate",
+  "cellists",
+  "cellular",
+  "cemented",
+  "cemetery",
+  "censored",
+  "censured",
+  "censures",
+  "censused",
+  "censuses",
+  "centered",
+  "centrals",
+  "cerebral",
+  "ceremony",
+  "cervical",
+  "chaffing",
+  "chagrins",
+  "chaining",
+  "chainsaw",
+  "chairing",
+  "chairman",
+  "chairmen",
+  "chalices",
+  "chalkier",
+  "chalking",
+  "chambers",
+  "champing",
+  "champion",
+  "chancing",
+  "changing",
+  "channels",
+  "chanting",
+  "chaperon",
+  "chaplain",
+  "chapping",
+  "chapters",
+  "charcoal",
+  "charging",
+  "chariots",
+  "charisma",
+  "charming",
+  "charring",
+  "charters",
+  "charting",
+  "chastens",
+  "chastest",
+  "chastise",
+  "chastity",
+  "chatters",
+  "chattier",
+  "chatting",
+  "cheapens",
+  "cheapest",
+  "cheating",
+  "checkers",
+  "checking",
+  "checkout",
+  "checkups",
+  "cheeking",
+  "cheeping",
+  "cheerful",
+  "cheerier",
+  "cheering",
+  "cheesing",
+  "cheetahs",
+  "chemical",
+  "chemists",
+  "cherries",
+  "cherubim",
+  "chestnut",
+  "chewiest",
+  "chickens",
+  "chiefest",
+  "childish",
+  "children",
+  "chillest",
+  "chillier",
+  "chilling",
+  "chimneys",
+  "chinking",
+  "chinning",
+  "chipmunk",
+  "chippers",
+  "chipping",
+  "chirping",
+  "chiseled",
+  "chivalry",
+  "chlorine",
+  "choicest",
+  "choosier",
+  "choosing",
+  "choppers",
+  "choppier",
+  "chopping",
+  "chortled",
+  "chortles",
+  "chorused",
+  "choruses",
+  "chowders",
+  "christen",
+  "chroming",
+  "chromium",
+  "chubbier",
+  "chucking",
+  "chuckled",
+  "chuckles",
+  "chugging",
+  "chummier",
+  "chumming",
+  "chunkier",
+  "churches",
+  "churning",
+  "cinching",
+  "cindered",
+  "cinnamon",
+  "ciphered",
+  "circling",
+  "circuits",
+  "circular",
+  "circuses",
+  "cisterns",
+  "citation",
+  "citizens",
+  "citruses",
+  "civilian",
+  "civility",
+  "civilize",
+  "clacking",
+  "claiming",
+  "clambers",
+  "clammier",
+  "clamming",
+  "clamored",
+  "clamping",
+  "clanging",
+  "clanking",
+  "clappers",
+  "clapping",
+  "claptrap",
+  "clarinet",
+  "clashing",
+  "clasping",
+  "classics",
+  "classify",
+  "classing",
+  "clatters",
+  "cleaners",
+  "cleanest",
+  "cleaning",
+  "cleansed",
+  "cleanser",
+  "cleanses",
+  "clearest",
+  "clearing",
+  "cleavage",
+  "cleavers",
+  "cleaving",
+  "clemency",
+  "clenched",
+  "clenches",
+  "clergies",
+  "clerical",
+  "clerking",
+  "cleverer",
+  "cleverly",
+  "clicking",
+  "climates",
+  "climaxed",
+  "climaxes",
+  "climbers",
+  "climbing",
+  "clinched",
+  "clinches",
+  "clinging",
+  "clinical",
+  "clinking",
+  "clipping",
+  "clitoris",
+  "cloaking",
+  "clocking",
+  "clogging",
+  "cloister",
+  "closeted",
+  "closures",
+  "clothing",
+  "clotting",
+  "cloudier",
+  "clouding",
+  "clouting",
+  "clowning",
+  "clubbing",
+  "clucking",
+  "clueless",
+  "clumping",
+  "clumsier",
+  "clumsily",
+  "clusters",
+  "clutched",
+  "clutches",
+  "clutters",
+  "coaching",
+  "coalesce",
+  "coarsely",
+  "coarsens",
+  "coarsest",
+  "coasters",
+  "coasting",
+  "cobblers",
+  "cockeyed",
+  "cockiest",
+  "cockpits",
+  "cocktail",
+  "coconuts",
+  "cocooned",
+  "coercing",
+  "coercion",
+  "coexists",
+  "coffined",
+  "coherent",
+  "coinages",
+  "coincide",
+  "colander",
+  "coldness",
+  "collages",
+  "collapse",
+  "collared",
+  "collated",
+  "collates",
+  "collects",
+  "colleges",
+  "collided",
+  "collides",
+  "colonels",
+  "colonial",
+  "colonies",
+  "colonize",
+  "coloreds",
+  "colorful",
+  "coloring",
+  "colossal",
+  "combated",
+  "combined",
+  "combines",
+  "comeback",
+  "comedian",
+  "comedies",
+  "comelier",
+  "comforts",
+  "commando",
+  "commands",
+  "commence",
+  "commends",
+  "comments",
+  "commerce",
+  "commoner",
+  "commonly",
+  "communal",
+  "communed",
+  "communes",
+  "commuted",
+  "commuter",
+  "commutes",
+  "compacts",
+  "compared",
+  "compares",
+  "competed",
+  "competes",
+  "compiled",
+  "compiler",
+  "compiles",
+  "complain",
+  "complete",
+  "complied",
+  "complies",
+  "composed",
+  "composer",
+  "composes",
+  "composts",
+  "compound",
+  "compress",
+  "comprise",
+  "computed",
+  "computer",
+  "computes",
+  "comrades",
+  "conceals",
+  "conceded",
+  "concedes",
+  "conceits",
+  "conceive",
+  "concepts",
+  "concerns",
+  "concerto",
+  "concerts",
+  "conciser",
+  "conclude",
+  "concocts",
+  "concrete",
+  "condemns",
+  "condense",
+  "condoned",
+  "condones",
+  "conducts",
+  "confetti",
+  "confided",
+  "confides",
+  "confined",
+  "confines",
+  "confirms",
+  "conflict",
+  "conforms",
+  "confound",
+  "confront",
+  "confused",
+  "confuses",
+  "congeals",
+  "congests",
+  "congress",
+  "conifers",
+  "conjugal",
+  "conjured",
+  "conjures",
+  "connects",
+  "connoted",
+  "connotes",
+  "conquers",
+  "conquest",
+  "consents",
+  "conserve",
+  "consider",
+  "consigns",
+  "consists",
+  "consoled",
+  "consoles",
+  "consorts",
+  "conspire",
+  "constant",
+  "construe",
+  "consular",
+  "consults",
+  "consumed",
+  "consumer",
+  "consumes",
+  "contacts",
+  "contains",
+  "contempt",
+  "contends",
+  "contents",
+  "contests",
+  "contexts",
+  "continue",
+  "contorts",
+  "contours",
+  "contract",
+  "contrary",
+  "contrast",
+  "contrite",
+  "contrive",
+  "controls",
+  "convened",
+  "convenes",
+  "convents",
+  "converge",
+  "converse",
+  "converts",
+  "conveyed",
+  "convicts",
+  "convince",
+  "convoyed",
+  "convulse",
+  "cookbook",
+  "copulate",
+  "cordials",
+  "cordless",
+  "cordoned",
+  "corduroy",
+  "cornered",
+  "corniest",
+  "cornmeal",
+  "coronary",
+  "coroners",
+  "corporal",
+  "corrects",
+  "corridor",
+  "corroded",
+  "corrodes",
+  "corrupts",
+  "corsages",
+  "corseted",
+  "cosmetic",
+  "cosmoses",
+  "costings",
+  "costlier",
+  "costumed",
+  "costumes",
+  "cottages",
+  "cottoned",
+  "couching",
+  "coughing",
+  "councils",
+  "counsels",
+  "counters",
+  "countess",
+  "counties",
+  "counting",
+  "coupling",
+  "couriers",
+  "coursing",
+  "courtesy",
+  "courting",
+  "covenant",
+  "coverage",
+  "covering",
+  "covertly",
+  "coveting",
+  "covetous",
+  "cowardly",
+  "cowering",
+  "cowgirls",
+  "cowhides",
+  "coziness",
+  "crabbier",
+  "crabbing",
+  "crackers",
+  "cracking",
+  "crackled",
+  "crackles",
+  "crackpot",
+  "cradling",
+  "craftier",
+  "craftily",
+  "crafting",
+  "craggier",
+  "cramming",
+  "cramping",
+  "craniums",
+  "crankier",
+  "cranking",
+  "crashing",
+  "crassest",
+  "cratered",
+  "cravings",
+  "crawling",
+  "crayfish",
+  "crayoned",
+  "craziest",
+  "creakier",
+  "creaking",
+  "creamier",
+  "creaming",
+  "creasing",
+  "creating",
+  "creation",
+  "creative",
+  "creators",
+  "creature",
+  "credence",
+  "credible",
+  "credited",
+  "creditor",
+  "creepier",
+  "creeping",
+  "cremated",
+  "cremates",
+  "crescent",
+  "cresting",
+  "crevasse",
+  "crevices",
+  "cribbing",
+  "crickets",
+  "criminal",
+  "crimsons",
+  "cringing",
+  "crinkled",
+  "crinkles",
+  "crippled",
+  "cripples",
+  "crispest",
+  "crisping",
+  "criteria",
+  "critical",
+  "critique",
+  "croaking",
+  "crochets",
+  "crockery",
+  "crocuses",
+  "crooking",
+  "crooning",
+  "cropping",
+  "crossbow",
+  "crossest",
+  "crossing",
+  "crotches",
+  "crouched",
+  "crouches",
+  "crowbars",
+  "crowding",
+  "crowning",
+  "crucifix",
+  "cruelest",
+  "cruisers",
+  "cruising",
+  "crumbing",
+  "crumbled",
+  "crumbles",
+  "crummier",
+  "crumpled",
+  "crumples",
+  "crunched",
+  "crunches",
+  "crusaded",
+  "crusader",
+  "crusades",
+  "crushing",
+  "crustier",
+  "crusting",
+  "crutches",
+  "crystals",
+  "cubicles",
+  "cucumber",
+  "cuddling",
+  "cuisines",
+  "culinary",
+  "culpable",
+  "culprits",
+  "cultural",
+  "cultured",
+  "cultures",
+  "cupboard",
+  "curators",
+  "curdling",
+  "currants",
+  "currency",
+  "currents",
+  "currying",
+  "curtails",
+  "curtains",
+  "curtsied",
+  "curtsies",
+  "cushions",
+  "custards",
+  "customer",
+  "cutbacks",
+  "cuticles",
+  "cuttings",
+  "cyclists",
+  "cyclones",
+  "cylinder",
+  "cynicism",
+  "dabbling",
+  "daffodil",
+  "daintier",
+  "dainties",
+  "daintily",
+  "dallying",
+  "damaging",
+  "dampened",
+  "dampness",
+  "dandiest",
+  "dandruff",
+  "dangling",
+  "dapperer",
+  "darkened",
+  "darkness",
+  "darlings",
+  "database",
+  "daughter",
+  "daunting",
+  "dawdling",
+  "daybreak",
+  "daydream",
+  "daylight",
+  "dazzling",
+  "deadened",
+  "deadlier",
+  "deadline",
+  "deadlock",
+  "deafness",
+  "dealings",
+  "deathbed",
+  "debasing",
+  "debating",
+  "debility",
+  "debiting",
+  "debonair",
+  "debriefs",
+  "debugged",
+  "debugger",
+  "debunked",
+  "debuting",
+  "decadent",
+  "decanter",
+  "decaying",
+  "deceased",
+  "deceases",
+  "deceived",
+  "deceives",
+  "decently",
+  "decibels",
+  "deciding",
+  "decimals",
+  "decimate",
+  "decipher",
+  "decision",
+  "decisive",
+  "declared",
+  "declares",
+  "declined",
+  "declines",
+  "decoding",
+  "decorate",
+  "decorous",
+  "decoying",
+  "decrease",
+  "decrepit",
+  "decrying",
+  "dedicate",
+  "deducing",
+  "deducted",
+  "deepened",
+  "defacing",
+  "defaming",
+  "defaults",
+  "defeated",
+  "defecate",
+  "defected",
+  "defended",
+  "defender",
+  "defensed",
+  "defenses",
+  "deferred",
+  "defiance",
+  "deficits",
+  "defiling",
+  "defining",
+  "definite",
+  "deflated",
+  "deflates",
+  "deflects",
+  "deformed",
+  "defrauds",
+  "defrosts",
+  "degraded",
+  "degrades",
+  "deifying",
+  "deigning",
+  "dejected",
+  "delaying",
+  "delegate",
+  "deleting",
+  "deletion",
+  "delicacy",
+  "delicate",
+  "delights",
+  "delimits",
+  "delirium",
+  "delivers",
+  "delivery",
+  "deluding",
+  "deluging",
+  "delusion",
+  "demanded",
+  "demeaned",
+  "demeanor",
+  "demented",
+  "dementia",
+  "demerits",
+  "demising",
+  "democrat",
+  "demolish",
+  "demoting",
+  "demotion",
+  "demurely",
+  "demurest",
+  "denoting",
+  "denounce",
+  "dentists",
+  "departed",
+  "depended",
+  "depicted",
+  "depleted",
+  "depletes",
+  "deplored",
+  "deplores",
+  "deported",
+  "deposing",
+  "deposits",
+  "depraved",
+  "depraves",
+  "deprived",
+  "deprives",
+  "deputies",
+  "derailed",
+  "deranged",
+  "deranges",
+  "derelict",
+  "deriding",
+  "derision",
+  "deriving",
+  "derricks",
+  "descends",
+  "descents",
+  "describe",
+  "deserted",
+  "deserter",
+  "deserved",
+  "deserves",
+  "designed",
+  "designer",
+  "desiring",
+  "desirous",
+  "desisted",
+  "desolate",
+  "despairs",
+  "despised",
+  "despises",
+  "despotic",
+  "desserts",
+  "destined",
+  "destines",
+  "destroys",
+  "detached",
+  "detaches",
+  "detailed",
+  "detained",
+  "detected",
+  "detector",
+  "deterred",
+  "detested",
+  "dethrone",
+  "detonate",
+  "detoured",
+  "detracts",
+  "develops",
+  "deviated",
+  "deviates",
+  "deviling",
+  "devising",
+  "devolved",
+  "devolves",
+  "devotees",
+  "devoting",
+  "devotion",
+  "devoured",
+  "devouter",
+  "devoutly",
+  "diabetes",
+  "diabetic",
+  "diagnose",
+  "diagonal",
+  "diagrams",
+  "dialects",
+  "dialings",
+  "dialogue",
+  "diameter",
+  "diamonds",
+  "diapered",
+  "diarrhea",
+  "diatribe",
+  "dictated",
+  "dictates",
+  "dictator",
+  "dieseled",
+  "differed",
+  "diffused",
+  "diffuses",
+  "digested",
+  "digitize",
+  "dilating",
+  "dilation",
+  "dilemmas",
+  "diligent",
+  "diluting",
+  "dilution",
+  "diminish",
+  "dimpling",
+  "dinghies",
+  "dingiest",
+  "dinnered",
+  "dinosaur",
+  "dioceses",
+  "diplomas",
+  "diplomat",
+  "directed",
+  "directer",
+  "directly",
+  "director",
+  "dirtiest",
+  "dirtying",
+  "disabled",
+  "disables",
+  "disagree",
+  "disallow",
+  "disarmed",
+  "disarray",
+  "disaster",
+  "disavows",
+  "disbands",
+  "disburse",
+  "discards",
+  "discerns",
+  "disciple",
+  "disclaim",
+  "disclose",
+  "discolor",
+  "discords",
+  "discount",
+  "discover",
+  "discreet",
+  "discrete",
+  "discuses",
+  "disdains",
+  "diseased",
+  "diseases",
+  "disfavor",
+  "disgrace",
+  "disguise",
+  "disgusts",
+  "dishonor",
+  "disjoint",
+  "disliked",
+  "dislikes",
+  "dislodge",
+  "disloyal",
+  "dismally",
+  "dismayed",
+  "dismount",
+  "disobeys",
+  "disorder",
+  "disowned",
+  "dispatch",
+  "dispense",
+  "disperse",
+  "displace",
+  "displays",
+  "disposal",
+  "disposed",
+  "disposes",
+  "disprove",
+  "disputed",
+  "disputes",
+  "disquiet",
+  "disrupts",
+  "dissects",
+  "dissents",
+  "dissolve",
+  "dissuade",
+  "distance",
+  "distaste",
+  "distends",
+  "distills",
+  "distinct",
+  "distorts",
+  "distract",
+  "distress",
+  "district",
+  "distrust",
+  "disturbs",
+  "disusing",
+  "ditching",
+  "dithered",
+  "dittoing",
+  "diverged",
+  "diverges",
+  "diverted",
+  "divested",
+  "dividend",
+  "dividing",
+  "divinest",
+  "divining",
+  "divinity",
+  "division",
+  "divisive",
+  "divisors",
+  "divorced",
+  "divorces",
+  "divulged",
+  "divulges",
+  "dizziest",
+  "dizzying",
+  "doctored",
+  "doctrine",
+  "document",
+  "doggedly",
+  "doggerel",
+  "doghouse",
+  "dogmatic",
+  "dogwoods",
+  "doldrums",
+  "dolphins",
+  "domestic",
+  "domicile",
+  "dominant",
+  "dominate",
+  "dominion",
+  "dominoes",
+  "donating",
+  "donation",
+  "doodling",
+  "doorstep",
+  "doorways",
+  "doubling",
+  "doubtful",
+  "doubting",
+  "doughnut",
+  "dowdiest",
+  "downcast",
+  "downfall",
+  "downhill",
+  "downiest",
+  "downpour",
+  "downtown",
+  "downward",
+  "drabbest",
+  "draftier",
+  "drafting",
+  "dragging",
+  "drainage",
+  "draining",
+  "dramatic",
+  "drawback",
+  "drawings",
+  "drawling",
+  "dreadful",
+  "dreading",
+  "dreamers",
+  "dreamier",
+  "dreaming",
+  "drearier",
+  "dredging",
+  "drenched",
+  "drenches",
+  "dressers",
+  "dressier",
+  "dressing",
+  "dribbled",
+  "dribbles",
+  "drifting",
+  "drilling",
+  "drinkers",
+  "drinking",
+  "dripping",
+  "driveled",
+  "driveway",
+  "drizzled",
+  "drizzles",
+  "drollest",
+  "drooling",
+  "drooping",
+  "dropouts",
+  "dropping",
+  "droughts",
+  "drowning",
+  "drowsier",
+  "drowsing",
+  "drudgery",
+  "drudging",
+  "drugging",
+  "druggist",
+  "drummers",
+  "drumming",
+  "drunkard",
+  "drunkest",
+  "duckling",
+  "dullness",
+  "dumbbell",
+  "dumpiest",
+  "dumpling",
+  "dumpster",
+  "dungeons",
+  "duplexes",
+  "duration",
+  "duskiest",
+  "dustiest",
+  "dustpans",
+  "dwarfing",
+  "dwellers",
+  "dwelling",
+  "dwindled",
+  "dwindles",
+  "dynamics",
+  "dynamite",
+  "dyslexia",
+  "eagerest",
+  "earaches",
+  "eardrums",
+  "earliest",
+  "earmarks",
+  "earnests",
+  "earnings",
+  "earrings",
+  "earthier",
+  "earthing",
+  "easterly",
+  "eastward",
+  "eclectic",
+  "eclipsed",
+  "eclipses",
+  "economic",
+  "ecstatic",
+  "edgewise",
+  "edifices",
+  "editions",
+  "educated",
+  "educates",
+  "educator",
+  "effected",
+  "effigies",
+  "effusive",
+  "eggplant",
+  "egotists",
+  "eighteen",
+  "eighties",
+  "ejecting",
+  "ejection",
+  "elapsing",
+  "elastics",
+  "elbowing",
+  "electing",
+  "election",
+  "elective",
+  "electors",
+  "electric",
+  "electron",
+  "elegance",
+  "elements",
+  "elephant",
+  "elevated",
+  "elevates",
+  "elevator",
+  "eleventh",
+  "elicited",
+  "eligible",
+  "ellipses",
+  "ellipsis",
+  "elliptic",
+  "elongate",
+  "eloquent",
+  "emailing",
+  "emanated",
+  "emanates",
+  "embalmed",
+  "embarked",
+  "embedded",
+  "embezzle",
+  "embitter",
+  "embodied",
+  "embodies",
+  "embossed",
+  "embosses",
+  "embraced",
+  "embraces",
+  "emeralds",
+  "emergent",
+  "emerging",
+  "emigrant",
+  "emigrate",
+  "eminence",
+  "emissary",
+  "emission",
+  "emitting",
+  "emotions",
+  "emperors",
+  "emphases",
+  "emphasis",
+  "emphatic",
+  "employed",
+  "employee",
+  "employer",
+  "emporium",
+  "empowers",
+  "emptiest",
+  "emptying",
+  "emulated",
+  "emulates",
+  "emulator",
+  "emulsion",
+  "enabling",
+  "enacting",
+  "enameled",
+  "encasing",
+  "enchants",
+  "encircle",
+  "enclosed",
+  "encloses",
+  "encoding",
+  "encoring",
+  "encroach",
+  "encumber",
+  "endanger",
+  "endeared",
+  "endeavor",
+  "endemics",
+  "endorsed",
+  "endorses",
+  "endowing",
+  "enduring",
+  "energies",
+  "enforced",
+  "enforces",
+  "engaging",
+  "engender",
+  "engineer",
+  "engraved",
+  "engraver",
+  "engraves",
+  "engulfed",
+  "enhanced",
+  "enhances",
+  "enjoying",
+  "enlarged",
+  "enlarges",
+  "enlisted",
+  "enlivens",
+  "enmities",
+  "enormity",
+  "enormous",
+  "enraging",
+  "enriched",
+  "enriches",
+  "enrolled",
+  "ensemble",
+  "enshrine",
+  "enslaved",
+  "enslaves",
+  "ensuring",
+  "entailed",
+  "entangle",
+  "entering",
+  "enthrall",
+  "enticing",
+  "entirely",
+  "entirety",
+  "entities",
+  "entitled",
+  "entitles",
+  "entrails",
+  "entrance",
+  "entrants",
+  "entreats",
+  "entreaty",
+  "entrench",
+  "entrusts",
+  "entwined",
+  "entwines",
+  "envelope",
+  "envelops",
+  "enviable",
+  "environs",
+  "envisage",
+  "epaulets",
+  "epidemic",
+  "epilepsy",
+  "epilogue",
+  "episodes",
+  "epitaphs",
+  "epithets",
+  "epitomes",
+  "equaling",
+  "equality",
+  "equalize",
+  "equating",
+  "equation",
+  "equators",
+  "equipped",
+  "equities",
+  "erecting",
+  "erection",
+  "erupting",
+  "eruption",
+  "escalate",
+  "escapade",
+  "escaping",
+  "escapism",
+  "escorted",
+  "esophagi",
+  "esoteric",
+  "especial",
+  "essaying",
+  "essences",
+  "esteemed",
+  "estimate",
+  "etchings",
+  "eternity",
+  "ethereal",
+  "eulogies",
+  "eulogize",
+  "evacuate",
+  "evaluate",
+  "evasions",
+  "evenings",
+  "evenness",
+  "eventful",
+  "eventual",
+  "evermore",
+  "everyday",
+  "everyone",
+  "evicting",
+  "eviction",
+  "evidence",
+  "evolving",
+  "exactest",
+  "exacting",
+  "exalting",
+  "examined",
+  "examiner",
+  "examines",
+  "exampled",
+  "examples",
+  "excavate",
+  "exceeded",
+  "excelled",
+  "excepted",
+  "excerpts",
+  "excesses",
+  "exchange",
+  "excising",
+  "exciting",
+  "exclaims",
+  "excluded",
+  "excludes",
+  "excreted",
+  "excretes",
+  "excusing",
+  "executed",
+  "executes",
+  "executor",
+  "exempted",
+  "exercise",
+  "exerting",
+  "exertion",
+  "exhaling",
+  "exhausts",
+  "exhibits",
+  "exhorted",
+  "exhuming",
+  "existent",
+  "existing",
+  "exoduses",
+  "expanded",
+  "expanses",
+  "expected",
+  "expedite",
+  "expelled",
+  "expended",
+  "expenses",
+  "expertly",
+  "expiring",
+  "explains",
+  "explicit",
+  "exploded",
+  "explodes",
+  "exploits",
+  "explored",
+  "explorer",
+  "explores",
+  "exponent",
+  "exported",
+  "exporter",
+  "exposing",
+  "exposure",
+  "expounds",
+  "extended",
+  "exterior",
+  "external",
+  "extincts",
+  "extolled",
+  "extorted",
+  "extracts",
+  "extremer",
+  "extremes",
+  "exultant",
+  "exulting",
+  "eyeballs",
+  "eyebrows",
+  "eyesight",
+  "eyesores",
+  "fabulous",
+  "faceless",
+  "faceting",
+  "facility",
+  "factions",
+  "factored",
+  "failings",
+  "failures",
+  "faintest",
+  "fainting",
+  "fairness",
+  "faithful",
+  "fallible",
+  "falsetto",
+  "faltered",
+  "familiar",
+  "families",
+  "fanatics",
+  "fanciest",
+  "fanciful",
+  "fancying",
+  "fanfares",
+  "farewell",
+  "farmland",
+  "farthest",
+  "fascists",
+  "fashions",
+  "fastened",
+  "fastener",
+  "fatality",
+  "fathered",
+  "fatherly",
+  "fathomed",
+  "fatigued",
+  "fatigues",
+  "fattened",
+  "fattiest",
+  "faultier",
+  "faulting",
+  "favoring",
+  "favorite",
+  "fearless",
+  "fearsome",
+  "feasible",
+  "feasting",
+  "feathers",
+  "feathery",
+  "featured",
+  "features",
+  "federals",
+  "feeblest",
+  "feedback",
+  "feelings",
+  "feigning",
+  "feinting",
+  "felonies",
+  "feminine",
+  "feminism",
+  "feminist",
+  "ferments",
+  "ferocity",
+  "ferreted",
+  "ferrying",
+  "festered",
+  "festival",
+  "festoons",
+  "fetching",
+  "fetishes",
+  "fettered",
+  "feverish",
+  "fiascoes",
+  "ficklest",
+  "fictions",
+  "fiddlers",
+  "fiddling",
+  "fidelity",
+  "fidgeted",
+  "fielding",
+  "fiendish",
+  "fiercely",
+  "fiercest",
+  "fieriest",
+  "fifteens",
+  "fiftieth",
+  "fighters",
+  "fighting",
+  "figments",
+  "figuring",
+  "filament",
+  "filching",
+  "filleted",
+  "filmiest",
+  "filtered",
+  "filthier",
+  "finalist",
+  "finality",
+  "finalize",
+  "financed",
+  "finances",
+  "findings",
+  "finessed",
+  "finesses",
+  "fingered",
+  "finished",
+  "finishes",
+  "firearms",
+  "fireside",
+  "firewood",
+  "firework",
+  "firmness",
+  "firmware",
+  "fishiest",
+  "fissures",
+  "fittings",
+  "fixation",
+  "fixtures",
+  "fizzling",
+  "flabbier",
+  "flagging",
+  "flagpole",
+  "flagrant",
+  "flagship",
+  "flailing",
+  "flakiest",
+  "flamingo",
+  "flanking",
+  "flannels",
+  "flapjack",
+  "flapping",
+  "flashest",
+  "flashier",
+  "flashing",
+  "flatness",
+  "flattens",
+  "flatters",
+  "flattery",
+  "flattest",
+  "flatting",
+  "flaunted",
+  "flavored",
+  "flawless",
+  "flecking",
+  "fleecier",
+  "fleecing",
+  "fleetest",
+  "fleeting",
+  "fleshier",
+  "fleshing",
+  "flexible",
+  "flexibly",
+  "flickers",
+  "flicking",
+  "flimsier",
+  "flinched",
+  "flinches",
+  "flinging",
+  "flippant",
+  "flippers",
+  "flippest",
+  "flipping",
+  "flirting",
+  "flitting",
+  "floating",
+  "flocking",
+  "flogging",
+  "flooding",
+  "flooring",
+  "floppier",
+  "floppies",
+  "flopping",
+  "florists",
+  "flossing",
+  "flotilla",
+  "flounced",
+  "flounces",
+  "flounder",
+  "flouring",
+  "flourish",
+  "flouting",
+  "flowered",
+  "fluently",
+  "fluffier",
+  "fluffing",
+  "flunkies",
+  "flunking",
+  "flurried",
+  "flurries",
+  "flushest",
+  "flushing",
+  "flusters",
+  "flutists",
+  "flutters",
+  "flyovers",
+  "foamiest",
+  "focusing",
+  "foggiest",
+  "foghorns",
+  "foisting",
+  "folklore",
+  "folksier",
+  "followed",
+  "follower",
+  "fomented",
+  "fondling",
+  "fondness",
+  "football",
+  "foothill",
+  "foothold",
+  "footings",
+  "footnote",
+  "footpath",
+  "footstep",
+  "footwear",
+  "footwork",
+  "foraging",
+  "foraying",
+  "forbears",
+  "forborne",
+  "forceful",
+  "forcible",
+  "forcibly",
+  "forearms",
+  "forebode",
+  "forecast",
+  "foregoes",
+  "foregone",
+  "forehead",
+  "forelegs",
+  "foremost",
+  "forensic",
+  "foreplay",
+  "foreseen",
+  "foresees",
+  "foreskin",
+  "forested",
+  "forestry",
+  "foretell",
+  "foretold",
+  "forewarn",
+  "forewent",
+  "foreword",
+  "forfeits",
+  "forgiven",
+  "forgives",
+  "forgoing",
+  "formally",
+  "formerly",
+  "formless",
+  "formulae",
+  "formulas",
+  "forsaken",
+  "forsakes",
+  "forswear",
+  "forswore",
+  "forsworn",
+  "fortieth",
+  "fortress",
+  "fortunes",
+  "forwards",
+  "fostered",
+  "founders",
+  "founding",
+  "fountain",
+  "fourteen",
+  "fracases",
+  "fraction",
+  "fracture",
+  "fragment",
+  "fragrant",
+  "frailest",
+  "frankest",
+  "franking",
+  "freaking",
+  "freckled",
+  "freckles",
+  "freedoms",
+  "freehand",
+  "freeways",
+  "freezers",
+  "freezing",
+  "freights",
+  "frenzied",
+  "frenzies",
+  "frequent",
+  "freshens",
+  "freshest",
+  "freshman",
+  "freshmen",
+  "fretting",
+  "friction",
+  "friended",
+  "friendly",
+  "frigates",
+  "frighted",
+  "frighten",
+  "frillier",
+  "fringing",
+  "friskier",
+  "frisking",
+  "fritters",
+  "frizzier",
+  "frontage",
+  "frontier",
+  "fronting",
+  "frostbit",
+  "frostier",
+  "frosting",
+  "frothier",
+  "frothing",
+  "frowning",
+  "frugally",
+  "fruitful",
+  "fruitier",
+  "fruiting",
+  "fruition",
+  "fugitive",
+  "fulcrums",
+  "fulfills",
+  "fullness",
+  "fumbling",
+  "fumigate",
+  "function",
+  "funerals",
+  "funneled",
+  "funniest",
+  "furlongs",
+  "furlough",
+  "furnaces",
+  "furriest",
+  "furrowed",
+  "furthers",
+  "furthest",
+  "fuselage",
+  "fussiest",
+  "futility",
+  "fuzziest",
+  "galactic",
+  "galaxies",
+  "gallants",
+  "galloped",
+  "gamblers",
+  "gambling",
+  "gangling",
+  "gangrene",
+  "gangster",
+  "gangways",
+  "garaging",
+  "garbling",
+  "gardened",
+  "gardener",
+  "gardenia",
+  "gargling",
+  "gargoyle",
+  "garlands",
+  "garments",
+  "garrison",
+  "gasoline",
+  "gateways",
+  "gathered",
+  "gaudiest",
+  "gauntest",
+  "gauntlet",
+  "gawkiest",
+  "gazelles",
+  "gazetted",
+  "gazettes",
+  "geldings",
+  "generals",
+  "generate",
+  "generics",
+  "generous",
+  "genetics",
+  "genially",
+  "genitals",
+  "geniuses",
+  "genocide",
+  "gentiles",
+  "gentlest",
+  "gentling",
+  "gentries",
+  "geometry",
+  "geranium",
+  "gestured",
+  "gestures",
+  "getaways",
+  "ghosting",
+  "gibbered",
+  "giddiest",
+  "gigantic",
+  "giggling",
+  "gimmicks",
+  "gingerly",
+  "giraffes",
+  "girdling",
+  "girlhood",
+  "gizzards",
+  "glaciers",
+  "gladdens",
+  "gladdest",
+  "glamours",
+  "glancing",
+  "glassier",
+  "glassing",
+  "gleaming",
+  "gleaning",
+  "glibbest",
+  "glimmers",
+  "glimpsed",
+  "glimpses",
+  "glinting",
+  "glistens",
+  "glitters",
+  "gloating",
+  "globally",
+  "globular",
+  "globules",
+  "gloomier",
+  "glorious",
+  "glorying",
+  "glossary",
+  "glossier",
+  "glossies",
+  "glossing",
+  "glowered",
+  "glummest",
+  "glutting",
+  "gluttons",
+  "gluttony",
+  "glycerin",
+  "gnarling",
+  "gnashing",
+  "gobbling",
+  "godchild",
+  "godliest",
+  "godsends",
+  "goldener",
+  "goldfish",
+  "gondolas",
+  "goodness",
+  "goodwill",
+  "goofiest",
+  "gorgeous",
+  "gorillas",
+  "goslings",
+  "gossamer",
+  "gossiped",
+  "gourmets",
+  "governed",
+  "governor",
+  "grabbing",
+  "graceful",
+  "gracious",
+  "gradient",
+  "graduate",
+  "graffiti",
+  "graffito",
+  "grafting",
+  "grammars",
+  "grandest",
+  "grandeur",
+  "grandson",
+  "grannies",
+  "granting",
+  "granular",
+  "granules",
+  "graphics",
+  "graphing",
+  "graphite",
+  "grappled",
+  "grapples",
+  "grasping",
+  "grassier",
+  "grassing",
+  "grateful",
+  "gratings",
+  "gratuity",
+  "graveled",
+  "greasier",
+  "greasing",
+  "greatest",
+  "greedier",
+  "greedily",
+  "greenery",
+  "greenest",
+  "greening",
+  "greeting",
+  "gremlins",
+  "grenades",
+  "griddles",
+  "gridiron",
+  "grieving",
+  "grievous",
+  "grilling",
+  "grimaced",
+  "grimaces",
+  "grimiest",
+  "grimmest",
+  "grinders",
+  "grinding",
+  "grinning",
+  "gripping",
+  "grislier",
+  "grittier",
+  "gritting",
+  "grizzled",
+  "groaning",
+  "groggier",
+  "grooming",
+  "groovier",
+  "grooving",
+  "grossest",
+  "grossing",
+  "grottoes",
+  "grouched",
+  "grouches",
+  "grounded",
+  "groupers",
+  "grouping",
+  "grousing",
+  "groveled",
+  "growling",
+  "grubbier",
+  "grubbing",
+  "grudging",
+  "grueling",
+  "gruesome",
+  "gruffest",
+  "grumbled",
+  "grumbles",
+  "grumpier",
+  "grunting",
+  "guardian",
+  "guarding",
+  "guessing",
+  "guesting",
+  "guffawed",
+  "guidance",
+  "guiltier",
+  "guiltily",
+  "gullible",
+  "gumdrops",
+  "gummiest",
+  "gumption",
+  "gunshots",
+  "gurgling",
+  "gustiest",
+  "guttered",
+  "guzzling",
+  "gymnasts",
+  "gyrating",
+  "gyration",
+  "habitats",
+  "habitual",
+  "hackneys",
+  "hacksaws",
+  "haddocks",
+  "haggling",
+  "haircuts",
+  "hairiest",
+  "hairline",
+  "halibuts",
+  "hallmark",
+  "hallways",
+  "haltered",
+  "hammered",
+  "hammocks",
+  "hampered",
+  "hamsters",
+  "handbags",
+  "handbook",
+  "handcuff",
+  "handfuls",
+  "handicap",
+  "handiest",
+  "handlers",
+  "handling",
+  "handmade",
+  "handouts",
+  "handrail",
+  "handsome",
+  "hangings",
+  "hangouts",
+  "hangover",
+  "hankered",
+  "happened",
+  "happiest",
+  "harangue",
+  "harassed",
+  "harasses",
+  "harbored",
+  "hardback",
+  "hardened",
+  "hardiest",
+  "hardship",
+  "hardware",
+  "hardwood",
+  "harmless",
+  "harmonic",
+  "harpists",
+  "harpoons",
+  "harrowed",
+  "harrying",
+  "harshest",
+  "harvests",
+  "hassling",
+  "hastened",
+  "hastiest",
+  "hatchets",
+  "hatching",
+  "haunting",
+  "haystack",
+  "hazarded",
+  "headache",
+  "headiest",
+  "headings",
+  "headland",
+  "headline",
+  "headlong",
+  "headrest",
+  "headroom",
+  "hearings",
+  "heartens",
+  "heartier",
+  "hearties",
+  "heartily",
+  "heatedly",
+  "heathens",
+  "heavenly",
+  "heaviest",
+  "hecklers",
+  "heckling",
+  "hedgehog",
+  "heedless",
+  "heftiest",
+  "heighten",
+  "heirloom",
+  "heliport",
+  "helpings",
+  "helpless",
+  "hemlocks",
+  "henchman",
+  "henchmen",
+  "heralded",
+  "heredity",
+  "heresies",
+  "heretics",
+  "herewith",
+  "heritage",
+  "herrings",
+  "hesitant",
+  "hesitate",
+  "hexagons",
+  "hiatuses",
+  "hiccuped",
+  "hideaway",
+  "highbrow",
+  "highland",
+  "highways",
+  "hijacked",
+  "hilarity",
+  "hilliest",
+  "hillside",
+  "hindered",
+  "historic",
+  "hitching",
+  "hitherto",
+  "hoarders",
+  "hoarding",
+  "hoarsest",
+  "hobbling",
+  "hoisting",
+  "holidays",
+  "holiness",
+  "hollered",
+  "hollowed",
+  "hollower",
+  "holsters",
+  "homeland",
+  "homeless",
+  "homelier",
+  "homemade",
+  "homesick",
+  "homespun",
+  "homeward",
+  "homework",
+  "homicide",
+  "homonyms",
+  "honester",
+  "honestly",
+  "honeying",
+  "honorary",
+  "honoring",
+  "hoodlums",
+  "hoodwink",
+  "hopefuls",
+  "hopeless",
+  "horizons",
+  "hormones",
+  "horniest",
+  "horrible",
+  "horribly",
+  "horrific",
+  "horseman",
+  "hospital",
+  "hostages",
+  "hosteled",
+  "hostiles",
+  "hotheads",
+  "hounding",
+  "housings",
+  "hovering",
+  "huddling",
+  "huffiest",
+  "humanely",
+  "humanest",
+  "humanism",
+  "humanist",
+  "humanity",
+  "humanize",
+  "humblest",
+  "humbling",
+  "humidify",
+  "humidity",
+  "humility",
+  "humoring",
+  "humorist",
+  "humorous",
+  "hunching",
+  "hundreds",
+  "hungered",
+  "hungrier",
+  "hungrily",
+  "hurdling",
+  "hurrahed",
+  "hurrying",
+  "hurtling",
+  "husbands",
+  "huskiest",
+  "hustlers",
+  "hustling",
+  "hyacinth",
+  "hydrants",
+  "hydrogen",
+  "hygienic",
+  "hyphened",
+  "hypnosis",
+  "hypnotic",
+  "hysteria",
+  "hysteric",
+  "icebergs",
+  "idealist",
+  "idealize",
+  "identify",
+  "identity",
+  "ideology",
+  "idiocies",
+  "idolized",
+  "idolizes",
+  "igniting",
+  "ignition",
+  "ignorant",
+  "ignoring",
+  "illegals",
+  "illusion",
+  "illusory",
+  "imagined",
+  "imagines",
+  "imbecile",
+  "imitated",
+  "imitates",
+  "imitator",
+  "immature",
+  "immersed",
+  "immerses",
+  "imminent",
+  "immobile",
+  "immortal",
+  "immunity",
+  "immunize",
+  "impacted",
+  "impaired",
+  "impaling",
+  "imparted",
+  "impasses",
+  "impeding",
+  "impelled",
+  "impended",
+  "imperial",
+  "imperils",
+  "impinged",
+  "impinges",
+  "implants",
+  "implicit",
+  "implored",
+  "implores",
+  "implying",
+  "impolite",
+  "imported",
+  "imposing",
+  "impostor",
+  "impotent",
+  "impounds",
+  "imprints",
+  "imprison",
+  "improper",
+  "improved",
+  "improves",
+  "impudent",
+  "impulsed",
+  "impulses",
+  "impunity",
+  "impurest",
+  "impurity",
+  "inaction",
+  "inactive",
+  "inasmuch",
+  "inbreeds",
+  "incensed",
+  "incenses",
+  "incident",
+  "incision",
+  "incisive",
+  "incisors",
+  "inciting",
+  "inclined",
+  "inclines",
+  "included",
+  "includes",
+  "incoming",
+  "increase",
+  "incubate",
+  "incurred",
+  "indebted",
+  "indecent",
+  "indented",
+  "indexing",
+  "indicate",
+  "indicted",
+  "indirect",
+  "indolent",
+  "inducing",
+  "inducted",
+  "indulged",
+  "indulges",
+  "industry",
+  "inedible",
+  "inertial",
+  "infamies",
+  "infamous",
+  "infantry",
+  "infected",
+  "inferior",
+  "infernos",
+  "inferred",
+  "infested",
+  "infidels",
+  "infields",
+  "infinite",
+  "infinity",
+  "inflamed",
+  "inflames",
+  "inflated",
+  "inflates",
+  "inflicts",
+  "influxes",
+  "informal",
+  "informed",
+  "informer",
+  "infrared",
+  "infringe",
+  "infusing",
+  "infusion",
+  "ingested",
+  "ingrains",
+  "inhabits",
+  "inhalers",
+  "inhaling",
+  "inherent",
+  "inherits",
+  "inhibits",
+  "inhumane",
+  "initials",
+  "initiate",
+  "injected",
+  "injuries",
+  "injuring",
+  "inklings",
+  "inlaying",
+  "innocent",
+  "innuendo",
+  "inputted",
+  "inquests",
+  "inquired",
+  "inquires",
+  "insanely",
+  "insanest",
+  "insanity",
+  "inscribe",
+  "insecure",
+  "inserted",
+  "insiders",
+  "insights",
+  "insignia",
+  "insisted",
+  "insolent",
+  "insomnia",
+  "inspects",
+  "inspired",
+  "inspires",
+  "installs",
+  "instance",
+  "instants",
+  "instills",
+  "instinct",
+  "instruct",
+  "insulate",
+  "insulted",
+  "insurers",
+  "insuring",
+  "integers",
+  "integral",
+  "intended",
+  "intenser",
+  "interact",
+  "intercom",
+  "interest",
+  "interior",
+  "internal",
+  "interned",
+  "internet",
+  "interred",
+  "interval",
+  "intimacy",
+  "intimate",
+  "intrepid",
+  "intrigue",
+  "intruded",
+  "intruder",
+  "intrudes",
+  "inundate",
+  "invaders",
+  "invading",
+  "invalids",
+  "invasion",
+  "invented",
+  "inventor",
+  "inverses",
+  "inverted",
+  "invested",
+  "investor",
+  "inviting",
+  "invoiced",
+  "invoices",
+  "invoking",
+  "involved",
+  "involves",
+  "inwardly",
+  "irrigate",
+  "irritant",
+  "irritate",
+  "islander",
+  "isolated",
+  "isolates",
+  "itchiest",
+  "itemized",
+  "itemizes",
+  "jabbered",
+  "jackpots",
+  "jaggeder",
+  "jalopies",
+  "jamboree",
+  "jangling",
+  "janitors",
+  "jaundice",
+  "jauntier",
+  "jauntily",
+  "jaunting",
+  "javelins",
+  "jawboned",
+  "jawbones",
+  "jaywalks",
+  "jealousy",
+  "jellying",
+  "jeopardy",
+  "jerkiest",
+  "jettison",
+  "jewelers",
+  "jeweling",
+  "jiggling",
+  "jigsawed",
+  "jingling",
+  "jockeyed",
+  "jointing",
+  "jolliest",
+  "jollying",
+  "jostling",
+  "journals",
+  "journeys",
+  "jovially",
+  "joyfully",
+  "joyously",
+  "joystick",
+  "jubilant",
+  "jubilees",
+  "judgment",
+  "judicial",
+  "jugglers",
+  "juggling",
+  "jugulars",
+  "juiciest",
+  "jumbling",
+  "jumpiest",
+  "junction",
+  "juncture",
+  "junipers",
+  "junketed",
+  "justices",
+  "juvenile",
+  "kangaroo",
+  "kayaking",
+  "keepsake",
+  "kenneled",
+  "kerchief",
+  "kerosene",
+  "keyboard",
+  "keyholes",
+  "keynoted",
+  "keynotes",
+  "keystone",
+  "keywords",
+  "kickback",
+  "kickoffs",
+  "killings",
+  "kilobyte",
+  "kilogram",
+  "kilowatt",
+  "kindlier",
+  "kindling",
+  "kindness",
+  "kingdoms",
+  "kinkiest",
+  "kitchens",
+  "knapsack",
+  "kneading",
+  "kneecaps",
+  "kneeling",
+  "knickers",
+  "knighted",
+  "knitting",
+  "knockers",
+  "knocking",
+  "knockout",
+  "knottier",
+  "knotting",
+  "knowings",
+  "knuckled",
+  "knuckles",
+  "koshered",
+  "kowtowed",
+  "labeling",
+  "laborers",
+  "laboring",
+  "lacerate",
+  "lacquers",
+  "lacrosse",
+  "laddered",
+  "ladybugs",
+  "ladylike",
+  "laggards",
+  "lamented",
+  "lampoons",
+  "landings",
+  "landlady",
+  "landlord",
+  "landmark",
+  "landslid",
+  "language",
+  "languish",
+  "languors",
+  "lankiest",
+  "lanterns",
+  "larynges",
+  "latching",
+  "laterals",
+  "lathered",
+  "latitude",
+  "latrines",
+  "lattices",
+  "laudable",
+  "laughing",
+  "laughter",
+  "launched",
+  "launcher",
+  "launches",
+  "launders",
+  "laureate",
+  "lavatory",
+  "lavender",
+  "lavished",
+  "lavisher",
+  "lavishes",
+  "lawmaker",
+  "lawsuits",
+  "laxative",
+  "layering",
+  "laziness",
+  "leafiest",
+  "leaflets",
+  "leaguing",
+  "leakages",
+  "leapfrog",
+  "learning",
+  "leashing",
+  "leathery",
+  "lecterns",
+  "lectured",
+  "lecturer",
+  "lectures",
+  "leeching",
+  "leeriest",
+  "leftmost",
+  "legacies",
+  "legality",
+  "legalize",
+  "leggings",
+  "lemonade",
+  "lengthen",
+  "leniency",
+  "leopards",
+  "leotards",
+  "lesbians",
+  "lessened",
+  "letdowns",
+  "lethargy",
+  "lettered",
+  "lettuces",
+  "leukemia",
+  "leveling",
+  "leverage",
+  "levering",
+  "lexicons",
+  "liaisons",
+  "libeling",
+  "libelous",
+  "liberals",
+  "liberate",
+  "libretto",
+  "licensed",
+  "licenses",
+  "licorice",
+  "lifeboat",
+  "lifeless",
+  "lifelike",
+  "lifeline",
+  "lifelong",
+  "lifespan",
+  "lifetime",
+  "ligament",
+  "ligature",
+  "lightens",
+  "lighters",
+  "lightest",
+  "lighting",
+  "likelier",
+  "likeness",
+  "likening",
+  "likewise",
+  "limbered",
+  "limerick",
+  "limiting",
+  "linchpin",
+  "lineages",
+  "linearly",
+  "linefeed",
+  "lingered",
+  "lingerie",
+  "linguist",
+  "liniment",
+  "linoleum",
+  "lipstick",
+  "liqueurs",
+  "liquored",
+  "listened",
+  "listener",
+  "listings",
+  "listless",
+  "litanies",
+  "literacy",
+  "literals",
+  "literary",
+  "literate",
+  "littered",
+  "littlest",
+  "livelier",
+  "livening",
+  "loadable",
+  "loathing",
+  "lobbying",
+  "lobbyist",
+  "lobotomy",
+  "lobsters",
+  "locality",
+  "localize",
+  "locating",
+  "location",
+  "lodgings",
+  "loftiest",
+  "logician",
+  "loitered",
+  "loiterer",
+  "lollipop",
+  "lonelier",
+  "lonesome",
+  "longhand",
+  "longings",
+  "lookouts",
+  "looniest",
+  "loophole",
+  "loosened",
+  "lopsided",
+  "loudness",
+  "lounging",
+  "lousiest",
+  "lovelier",
+  "lovelies",
+  "lovingly",
+  "lowering",
+  "lowliest",
+  "loyalest",
+  "lozenges",
+  "luckiest",
+  "lukewarm",
+  "lumbered",
+  "luminary",
+  "luminous",
+  "lumpiest",
+  "lunacies",
+  "lunatics",
+  "luncheon",
+  "lunching",
+  "lurching",
+  "luscious",
+  "lustiest",
+  "lustrous",
+  "luxuries",
+  "lynching",
+  "macaroni",
+  "machetes",
+  "machined",
+  "machines",
+  "mackerel",
+  "maddened",
+  "madhouse",
+  "magazine",
+  "magician",
+  "magnates",
+  "magnetic",
+  "magnolia",
+  "mahogany",
+  "mainland",
+  "mainline",
+  "mainstay",
+  "maintain",
+  "majestic",
+  "majoring",
+  "majority",
+  "maladies",
+  "maligned",
+  "mallards",
+  "maltreat",
+  "mammoths",
+  "manacled",
+  "manacles",
+  "managers",
+  "managing",
+  "mandated",
+  "mandates",
+  "mandible",
+  "mandolin",
+  "maneuver",
+  "mangiest",
+  "mangling",
+  "mangrove",
+  "manholes",
+  "maniacal",
+  "manicure",
+  "manifest",
+  "manifold",
+  "manliest",
+  "manpower",
+  "mansions",
+  "mantling",
+  "manually",
+  "manuring",
+  "mappings",
+  "marathon",
+  "marbling",
+  "marching",
+  "marginal",
+  "marigold",
+  "marinate",
+  "mariners",
+  "maritime",
+  "markedly",
+  "marketed",
+  "markings",
+  "marksman",
+  "marksmen",
+  "marooned",
+  "marquees",
+  "marriage",
+  "marrying",
+  "marshals",
+  "marshier",
+  "martyred",
+  "marveled",
+  "mascaras",
+  "massacre",
+  "massaged",
+  "massages",
+  "mastered",
+  "masterly",
+  "matadors",
+  "matching",
+  "material",
+  "maternal",
+  "matrices",
+  "matronly",
+  "mattered",
+  "mattress",
+  "maturest",
+  "maturing",
+  "maturity",
+  "maverick",
+  "maximize",
+  "maximums",
+  "mealiest",
+  "meanders",
+  "meanings",
+  "meantime",
+  "measlier",
+  "measured",
+  "measures",
+  "mechanic",
+  "meddlers",
+  "meddling",
+  "mediated",
+  "mediates",
+  "mediator",
+  "medicals",
+  "medicate",
+  "medicine",
+  "medieval",
+  "mediocre",
+  "meditate",
+  "meekness",
+  "meetings",
+  "megabyte",
+  "megatons",
+  "mellowed",
+  "mellower",
+  "melodies",
+  "membrane",
+  "mementos",
+  "memorial",
+  "memories",
+  "memorize",
+  "menacing",
+  "mentally",
+  "mentions",
+  "mentored",
+  "merchant",
+  "merciful",
+  "meridian",
+  "meringue",
+  "meriting",
+  "mermaids",
+  "merriest",
+  "mesdames",
+  "messages",
+  "messiest",
+  "metallic",
+  "metaphor",
+  "meteoric",
+  "metering",
+  "microbes",
+  "midnight",
+  "midriffs",
+  "midwifed",
+  "midwifes",
+  "midwives",
+  "mightier",
+  "migraine",
+  "migrants",
+  "migrated",
+  "migrates",
+  "mildewed",
+  "mileages",
+  "militant",
+  "military",
+  "militate",
+  "militias",
+  "milkiest",
+  "milliner",
+  "millions",
+  "mimicked",
+  "mindless",
+  "minerals",
+  "mingling",
+  "minimize",
+  "minimums",
+  "minister",
+  "ministry",
+  "minoring",
+  "minority",
+  "minstrel",
+  "minutest",
+  "minuting",
+  "miracles",
+  "mirrored",
+  "miscarry",
+  "mischief",
+  "misdeeds",
+  "miseries",
+  "misguide",
+  "misjudge",
+  "misleads",
+  "mismatch",
+  "misnomer",
+  "misplace",
+  "misprint",
+  "misquote",
+  "misreads",
+  "missiles",
+  "missions",
+  "missives",
+  "misspell",
+  "mistaken",
+  "mistakes",
+  "mistiest",
+  "mistress",
+  "mistrust",
+  "misusing",
+  "mitigate",
+  "mixtures",
+  "mnemonic",
+  "mobility",
+  "mobilize",
+  "moccasin",
+  "modeling",
+  "moderate",
+  "modestly",
+  "modicums",
+  "modified",
+  "modifier",
+  "modifies",
+  "modulate",
+  "moistens",
+  "moistest",
+  "moisture",
+  "molasses",
+  "moldiest",
+  "moldings",
+  "molecule",
+  "molested",
+  "mollusks",
+  "momentum",
+  "monarchs",
+  "monarchy",
+  "monastic",
+  "monetary",
+  "mongoose",
+  "mongrels",
+  "monitors",
+  "monkeyed",
+  "monogamy",
+  "monogram",
+  "monopoly",
+  "monorail",
+  "monotony",
+  "monsoons",
+  "monsters",
+  "monument",
+  "moodiest",
+  "moonbeam",
+  "moorings",
+  "moralist",
+  "morality",
+  "morasses",
+  "moreover",
+  "mornings",
+  "morphine",
+  "mortally",
+  "mortared",
+  "mortgage",
+  "mortuary",
+  "mosquito",
+  "mossiest",
+  "mothball",
+  "mothered",
+  "motherly",
+  "motioned",
+  "motivate",
+  "motliest",
+  "motoring",
+  "motorist",
+  "motorize",
+  "motorway",
+  "mounding",
+  "mountain",
+  "mounting",
+  "mourners",
+  "mournful",
+  "mourning",
+  "mousiest",
+  "moussing",
+  "mouthful",
+  "mouthing",
+  "movables",
+  "movement",
+  "muddiest",
+  "muddling",
+  "muddying",
+  "mufflers",
+  "muffling",
+  "muggiest",
+  "mulching",
+  "multiple",
+  "multiply",
+  "mumbling",
+  "munching",
+  "murdered",
+  "murderer",
+  "murkiest",
+  "murmured",
+  "muscling",
+  "muscular",
+  "mushiest",
+  "mushroom",
+  "musicals",
+  "musician",
+  "mustache",
+  "mustangs",
+  "mustered",
+  "mustiest",
+  "mutating",
+  "mutation",
+  "mutilate",
+  "mutinied",
+  "mutinies",
+  "mutinous",
+  "muttered",
+  "mutually",
+  "muzzling",
+  "mystical",
+  "mythical",
+  "nameless",
+  "namesake",
+  "napalmed",
+  "narcotic",
+  "narrated",
+  "narrates",
+  "narrator",
+  "narrowed",
+  "narrower",
+  "narrowly",
+  "nastiest",
+  "national",
+  "nativity",
+  "nattiest",
+  "naturals",
+  "nauseate",
+  "nauseous",
+  "nautical",
+  "navigate",
+  "neatness",
+  "nebulous",
+  "necklace",
+  "neckline",
+  "neckties",
+  "neediest",
+  "needless",
+  "needling",
+  "negating",
+  "negation",
+  "negative",
+  "neglects",
+  "negligee",
+  "neighbor",
+  "neighing",
+  "neophyte",
+  "nepotism",
+  "nestling",
+  "nettling",
+  "networks",
+  "neuroses",
+  "neurosis",
+  "neurotic",
+  "neutered",
+  "neutrals",
+  "neutrons",
+  "newborns",
+  "newcomer",
+  "newscast",
+  "newsiest",
+  "nibbling",
+  "niceties",
+  "nickname",
+  "nicotine",
+  "niftiest",
+  "nimblest",
+  "nineteen",
+  "nineties",
+  "nippiest",
+  "nitrated",
+  "nitrates",
+  "nitrogen",
+  "nobility",
+  "nobleman",
+  "noblemen",
+  "nobodies",
+  "noisiest",
+  "nominate",
+  "nominees",
+  "nonsense",
+  "noodling",
+  "normally",
+  "northern",
+  "nostrils",
+  "notables",
+  "notation",
+  "notching",
+  "notebook",
+  "nothings",
+  "noticing",
+  "notified",
+  "notifies",
+  "notional",
+  "novelist",
+  "nowadays",
+  "nuisance",
+  "numbered",
+  "numbness",
+  "numerals",
+  "numerate",
+  "numerous",
+  "nuptials",
+  "nurtured",
+  "nurtures",
+  "nutrient",
+  "nutshell",
+  "nuttiest",
+  "nuzzling",
+  "obedient",
+  "obelisks",
+  "obituary",
+  "objected",
+  "objector",
+  "obligate",
+  "obliging",
+  "obliques",
+  "oblivion",
+  "obscener",
+  "obscured",
+  "obscurer",
+  "obscures",
+  "observed",
+  "observer",
+  "observes",
+  "obsessed",
+  "obsesses",
+  "obsolete",
+  "obstacle",
+  "obstruct",
+  "obtained",
+  "obtusest",
+  "occasion",
+  "occupant",
+  "occupied",
+  "occupies",
+  "occurred",
+  "octagons",
+  "oddities",
+  "odometer",
+  "offbeats",
+  "offended",
+  "offender",
+  "offenses",
+  "offering",
+  "officers",
+  "official",
+  "offshoot",
+  "offshore",
+  "offstage",
+  "oftenest",
+  "ointment",
+  "omission",
+  "omitting",
+  "oncoming",
+  "onlooker",
+  "onrushes",
+  "opaquest",
+  "opaquing",
+  "openings",
+  "openness",
+  "operands",
+  "operated",
+  "operates",
+  "operatic",
+  "operator",
+  "opinions",
+  "opossums",
+  "opponent",
+  "opposing",
+  "opposite",
+  "optician",
+  "optimism",
+  "optimist",
+  "optimize",
+  "optimums",
+  "optional",
+  "optioned",
+  "orations",
+  "orbitals",
+  "orbiting",
+  "orchards",
+  "ordained",
+  "ordering",
+  "ordinary",
+  "organics",
+  "organism",
+  "organist",
+  "organize",
+  "oriental",
+  "oriented",
+  "original",
+  "ornament",
+  "ornately",
+  "orphaned",
+  "orthodox",
+  "outbound",
+  "outbreak",
+  "outburst",
+  "outcasts",
+  "outclass",
+  "outcomes",
+  "outcries",
+  "outdated",
+  "outdoing",
+  "outdoors",
+  "outfield",
+  "outgoing",
+  "outgrown",
+  "outgrows",
+  "outhouse",
+  "outlasts",
+  "outlawed",
+  "outlined",
+  "outlines",
+  "outlived",
+  "outlives",
+  "outlooks",
+  "outlying",
+  "outmoded",
+  "outposts",
+  "outraged",
+  "outrages",
+  "outright",
+  "outshine",
+  "outshone",
+  "outsider",
+  "outsides",
+  "outskirt",
+  "outsmart",
+  "outstrip",
+  "outwards",
+  "outweigh",
+  "ovations",
+  "overalls",
+  "overbear",
+  "overbore",
+  "overcame",
+  "overcast",
+  "overcoat",
+  "overcome",
+  "overdoes",
+  "overdone",
+  "overdose",
+  "overdraw",
+  "overdrew",
+  "overeats",
+  "overflow",
+  "overgrew",
+  "overgrow",
+  "overhand",
+  "overhang",
+  "overhaul",
+  "overhead",
+  "overhear",
+  "overheat",
+  "overhung",
+  "overkill",
+  "overlaid",
+  "overlain",
+  "overland",
+  "overlaps",
+  "overlays",
+  "overlies",
+  "overload",
+  "overlong",
+  "overlook",
+  "overpass",
+  "overrate",
+  "override",
+  "overrode",
+  "overrule",
+  "overruns",
+  "overseas",
+  "overseen",
+  "overseer",
+  "oversees",
+  "overshot",
+  "overstep",
+  "overtake",
+  "overtime",
+  "overtone",
+  "overtook",
+  "overture",
+  "overturn",
+  "overused",
+  "overuses",
+  "overview",
+  "overwork",
+  "oxidized",
+  "oxidizes",
+  "pacified",
+  "pacifier",
+  "pacifies",
+  "pacifism",
+  "pacifist",
+  "packaged",
+  "packages",
+  "paddling",
+  "paddocks",
+  "padlocks",
+  "pageants",
+  "painless",
+  "painting",
+  "palatial",
+  "palettes",
+  "palomino",
+  "palpable",
+  "palpably",
+  "paltrier",
+  "pampered",
+  "pamphlet",
+  "panaceas",
+  "pancaked",
+  "pancakes",
+  "pancreas",
+  "pandered",
+  "paneling",
+  "panicked",
+  "panorama",
+  "panthers",
+  "pantries",
+  "papacies",
+  "papering",
+  "parables",
+  "paradigm",
+  "parading",
+  "paradise",
+  "paraffin",
+  "paragons",
+  "parakeet",
+  "parallel",
+  "paralyze",
+  "paranoia",
+  "paranoid",
+  "parasite",
+  "parasols",
+  "parceled",
+  "parching",
+  "pardoned",
+  "parental",
+  "parented",
+  "parishes",
+  "parkways",
+  "parodied",
+  "parodies",
+  "paroling",
+  "parroted",
+  "parsnips",
+  "partaken",
+  "partakes",
+  "partials",
+  "particle",
+  "partings",
+  "partisan",
+  "partners",
+  "partying",
+  "passable",
+  "passages",
+  "passbook",
+  "passions",
+  "passives",
+  "passport",
+  "password",
+  "pastiche",
+  "pastiest",
+  "pastimes",
+  "pastoral",
+  "pastries",
+  "pastured",
+  "pastures",
+  "patching",
+  "patented",
+  "patently",
+  "paternal",
+  "pathetic",
+  "pathways",
+  "patience",
+  "patients",
+  "patriots",
+  "pattered",
+  "patterns",
+  "paunches",
+  "pavement",
+  "pavilion",
+  "payments",
+  "payrolls",
+  "peaceful",
+  "peacocks",
+  "pearling",
+  "peasants",
+  "pebbling",
+  "peculiar",
+  "pedagogy",
+  "pedaling",
+  "pedantic",
+  "pedantry",
+  "peddlers",
+  "peddling",
+  "pedestal",
+  "pedigree",
+  "peerless",
+  "pelicans",
+  "pelleted",
+  "pelvises",
+  "penalize",
+  "penances",
+  "penchant",
+  "penciled",
+  "pendants",
+  "pendulum",
+  "penguins",
+  "penitent",
+  "penknife",
+  "pennants",
+  "pensions",
+  "pentagon",
+  "peopling",
+  "peppered",
+  "perceive",
+  "percents",
+  "perching",
+  "perfects",
+  "performs",
+  "perfumed",
+  "perfumes",
+  "periling",
+  "perilous",
+  "periodic",
+  "perished",
+  "perishes",
+  "perjured",
+  "perjures",
+  "perkiest",
+  "permeate",
+  "peroxide",
+  "persists",
+  "personal",
+  "perspire",
+  "persuade",
+  "pertains",
+  "perturbs",
+  "perusals",
+  "perusing",
+  "pervaded",
+  "pervades",
+  "perverse",
+  "perverts",
+  "peskiest",
+  "pestered",
+  "petering",
+  "petition",
+  "pettiest",
+  "petulant",
+  "petunias",
+  "phantoms",
+  "pharmacy",
+  "pheasant",
+  "phonetic",
+  "phoniest",
+  "phonying",
+  "phosphor",
+  "photoing",
+  "phrasing",
+  "physical",
+  "physique",
+  "pianists",
+  "piccolos",
+  "pickaxed",
+  "pickaxes",
+  "picketed",
+  "pickiest",
+  "pickling",
+  "pictured",
+  "pictures",
+  "piddling",
+  "piercing",
+  "pigments",
+  "pigtails",
+  "pilfered",
+  "pilgrims",
+  "pillaged",
+  "pillages",
+  "pillowed",
+  "piloting",
+  "pimplier",
+  "pinching",
+  "pinioned",
+  "pinnacle",
+  "pinpoint",
+  "pioneers",
+  "pipeline",
+  "piranhas",
+  "pirating",
+  "pitchers",
+  "pitching",
+  "pitfalls",
+  "pithiest",
+  "pitiless",
+  "pittance",
+  "pivoting",
+  "placards",
+  "placated",
+  "placates",
+  "placenta",
+  "placidly",
+  "plaguing",
+  "plainest",
+  "planking",
+  "plankton",
+  "planners",
+  "planning",
+  "plantain",
+  "planters",
+  "planting",
+  "plasters",
+  "plastics",
+  "plateaus",
+  "platform",
+  "platinum",
+  "platoons",
+  "platters",
+  "playable",
+  "playback",
+  "playmate",
+  "playpens",
+  "pleading",
+  "pleasant",
+  "pleasing",
+  "pleasure",
+  "pleating",
+  "pledging",
+  "plethora",
+  "plighted",
+  "plodding",
+  "plopping",
+  "plotters",
+  "plotting",
+  "plucking",
+  "plugging",
+  "plumbers",
+  "plumbing",
+  "plummets",
+  "plumpest",
+  "plumping",
+  "plunders",
+  "plungers",
+  "plunging",
+  "plushest",
+  "poachers",
+  "poaching",
+  "pocketed",
+  "pockmark",
+  "poetical",
+  "poignant",
+  "pointers",
+  "pointing",
+  "poisoned",
+  "polarity",
+  "polarize",
+  "polemics",
+  "policies",
+  "policing",
+  "polished",
+  "polishes",
+  "politely",
+  "politest",
+  "politics",
+  "polkaing",
+  "pollster",
+  "polluted",
+  "pollutes",
+  "polygamy",
+  "polygons",
+  "pondered",
+  "pontoons",
+  "populace",
+  "populate",
+  "populous",
+  "porpoise",
+  "porridge",
+  "portable",
+  "portends",
+  "portents",
+  "porthole",
+  "portions",
+  "portlier",
+  "portrait",
+  "portrays",
+  "position",
+  "positive",
+  "possible",
+  "possibly",
+  "postcard",
+  "postcode",
+  "postmark",
+  "postpone",
+  "postured",
+  "postures",
+  "potatoes",
+  "potholes",
+  "pottered",
+  "pouching",
+  "pouncing",
+  "pounding",
+  "powdered",
+  "powerful",
+  "powering",
+  "powwowed",
+  "practice",
+  "prairies",
+  "praising",
+  "prancing",
+  "prattled",
+  "prattles",
+  "prawning",
+  "preached",
+  "preacher",
+  "preaches",
+  "preamble",
+  "preceded",
+  "precedes",
+  "precinct",
+  "precious",
+  "preciser",
+  "preclude",
+  "predator",
+  "predicts",
+  "preempts",
+  "preening",
+  "prefaced",
+  "prefaces",
+  "prefixed",
+  "prefixes",
+  "pregnant",
+  "preludes",
+  "premiere",
+  "premiers",
+  "premised",
+  "premises",
+  "premiums",
+  "prenatal",
+  "prepared",
+  "prepares",
+  "presence",
+  "presents",
+  "preserve",
+  "presided",
+  "presides",
+  "pressing",
+  "pressure",
+  "prestige",
+  "presumed",
+  "presumes",
+  "pretends",
+  "pretense",
+  "pretexts",
+  "prettied",
+  "prettier",
+  "pretties",
+  "pretzels",
+  "prevails",
+  "prevents",
+  "previews",
+  "previous",
+  "pricking",
+  "prickled",
+  "prickles",
+  "primates",
+  "primeval",
+  "primmest",
+  "primping",
+  "primrose",
+  "princess",
+  "printers",
+  "printing",
+  "printout",
+  "priority",
+  "prisoner",
+  "privater",
+  "privates",
+  "priviest",
+  "probable",
+  "probably",
+  "problems",
+  "proceeds",
+  "proclaim",
+  "procured",
+  "procures",
+  "prodding",
+  "prodigal",
+  "produced",
+  "producer",
+  "produces",
+  "products",
+  "profaned",
+  "profanes",
+  "proffers",
+  "profiled",
+  "profiles",
+  "profited",
+  "profound",
+  "programs",
+  "progress",
+  "prohibit",
+  "projects",
+  "prolific",
+  "prologue",
+  "prolongs",
+  "promised",
+  "promises",
+  "promoted",
+  "promotes",
+  "prompted",
+  "prompter",
+  "promptly",
+  "pronouns",
+  "proofing",
+  "properer",
+  "properly",
+  "property",
+  "prophecy",
+  "prophesy",
+  "prophets",
+  "proposal",
+  "proposed",
+  "proposes",
+  "propping",
+  "prospect",
+  "prospers",
+  "protects",
+  "proteins",
+  "protests",
+  "protocol",
+  "protract",
+  "protrude",
+  "proudest",
+  "provable",
+  "provably",
+  "proverbs",
+  "provided",
+  "provider",
+  "provides",
+  "province",
+  "provisos",
+  "provoked",
+  "provokes",
+  "prowlers",
+  "prowling",
+  "prudence",
+  "psychics",
+  "psyching",
+  "publicly",
+  "puckered",
+  "puddings",
+  "puddling",
+  "pudgiest",
+  "puffiest",
+  "pullover",
+  "pulsated",
+  "pulsates",
+  "pummeled",
+  "pumpkins",
+  "punching",
+  "punctual",
+  "puncture",
+  "punished",
+  "punishes",
+  "punitive",
+  "purchase",
+  "pureeing",
+  "purified",
+  "purifies",
+  "purplest",
+  "purports",
+  "purposed",
+  "purposes",
+  "pursuing",
+  "pursuits",
+  "purveyor",
+  "pushiest",
+  "pushover",
+  "pussiest",
+  "putative",
+  "puttered",
+  "puttying",
+  "puzzling",
+  "pyramids",
+  "quacking",
+  "quadrant",
+  "quagmire",
+  "quailing",
+  "quainter",
+  "quandary",
+  "quantify",
+  "quantity",
+  "quarrels",
+  "quarried",
+  "quarries",
+  "quarters",
+  "quartets",
+  "quashing",
+  "quavered",
+  "queasier",
+  "queening",
+  "queerest",
+  "queering",
+  "quelling",
+  "quenched",
+  "quenches",
+  "querying",
+  "questing",
+  "question",
+  "quibbled",
+  "quibbles",
+  "quickens",
+  "quickest",
+  "quietest",
+  "quieting",
+  "quilting",
+  "quintets",
+  "quipping",
+  "quirking",
+  "quitters",
+  "quitting",
+  "quivered",
+  "quizzing",
+  "quotient",
+  "rabbited",
+  "racially",
+  "racketed",
+  "radiance",
+  "radiated",
+  "radiates",
+  "radiator",
+  "radicals",
+  "radioing",
+  "radishes",
+  "raffling",
+  "raggeder",
+  "railings",
+  "railroad",
+  "railways",
+  "rainbows",
+  "raincoat",
+  "raindrop",
+  "rainfall",
+  "rainiest",
+  "rallying",
+  "ramblers",
+  "rambling",
+  "rampaged",
+  "rampages",
+  "ranchers",
+  "ranching",
+  "randomly",
+  "rankling",
+  "ransacks",
+  "ransomed",
+  "rapidest",
+  "rapidity",
+  "rapports",
+  "raptures",
+  "rarities",
+  "ratified",
+  "ratifies",
+  "rational",
+  "rationed",
+  "rattlers",
+  "rattling",
+  "ravaging",
+  "raveling",
+  "ravening",
+  "ravenous",
+  "ravished",
+  "ravishes",
+  "reaching",
+  "reacting",
+  "reaction",
+  "reactive",
+  "reactors",
+  "readable",
+  "readiest",
+  "readings",
+  "readjust",
+  "readying",
+  "realists",
+  "realized",
+  "realizes",
+  "reappear",
+  "reasoned",
+  "reassure",
+  "rebating",
+  "rebelled",
+  "rebirths",
+  "rebounds",
+  "rebuffed",
+  "rebuilds",
+  "rebuking",
+  "rebuttal",
+  "rebutted",
+  "recalled",
+  "recanted",
+  "recapped",
+  "receding",
+  "receipts",
+  "received",
+  "receiver",
+  "receives",
+  "recenter",
+  "recently",
+  "recessed",
+  "recesses",
+  "recharge",
+  "recitals",
+  "reciting",
+  "reckless",
+  "reckoned",
+  "reclaims",
+  "reclined",
+  "reclines",
+  "recluses",
+  "recoiled",
+  "recorded",
+  "recorder",
+  "recounts",
+  "recouped",
+  "recourse",
+  "recovers",
+  "recovery",
+  "recreate",
+  "recruits",
+  "recurred",
+  "recycled",
+  "recycles",
+  "reddened",
+  "redeemed",
+  "redefine",
+  "redesign",
+  "redheads",
+  "redirect",
+  "reducing",
+  "reelects",
+  "refereed",
+  "referees",
+  "referred",
+  "refilled",
+  "refinery",
+  "refining",
+  "reflects",
+  "reflexes",
+  "reformat",
+  "reformed",
+  "reformer",
+  "refrains",
+  "refueled",
+  "refugees",
+  "refunded",
+  "refusals",
+  "refusing",
+  "refuting",
+  "regained",
+  "regaling",
+  "regarded",
+  "regattas",
+  "regimens",
+  "regiment",
+  "regional",
+  "register",
+  "registry",
+  "regulars",
+  "regulate",
+  "rehashed",
+  "rehashes",
+  "rehearse",
+  "reigning",
+  "reindeer",
+  "rejected",
+  "rejoiced",
+  "rejoices",
+  "rejoined",
+  "relapsed",
+  "relapses",
+  "relating",
+  "relation",
+  "relative",
+  "relaxing",
+  "relaying",
+  "released",
+  "releases",
+  "relegate",
+  "relented",
+  "relevant",
+  "reliable",
+  "reliably",
+  "reliance",
+  "relieved",
+  "relieves",
+  "religion",
+  "relished",
+  "relishes",
+  "reliving",
+  "reloaded",
+  "relocate",
+  "remained",
+  "remaking",
+  "remarked",
+  "remedial",
+  "remedied",
+  "remedies",
+  "remember",
+  "reminded",
+  "reminder",
+  "remitted",
+  "remnants",
+  "remodels",
+  "remotely",
+  "remotest",
+  "removals",
+  "removing",
+  "renaming",
+  "rendered",
+  "renegade",
+  "reneging",
+  "renewals",
+  "renewing",
+  "renounce",
+  "renovate",
+  "renowned",
+  "reopened",
+  "repaired",
+  "repaying",
+  "repealed",
+  "repeated",
+  "repelled",
+  "repented",
+  "rephrase",
+  "replaced",
+  "replaces",
+  "repleted",
+  "repletes",
+  "replicas",
+  "replying",
+  "reported",
+  "reporter",
+  "reposing",
+  "reprieve",
+  "reprints",
+  "reprisal",
+  "reproach",
+  "reproved",
+  "reproves",
+  "reptiles",
+  "republic",
+  "repulsed",
+  "repulses",
+  "reputing",
+  "requests",
+  "required",
+  "requires",
+  "rerouted",
+  "reroutes",
+  "rescinds",
+  "rescuers",
+  "rescuing",
+  "research",
+  "resemble",
+  "resented",
+  "reserved",
+  "reserves",
+  "resident",
+  "residing",
+  "residual",
+  "residues",
+  "resigned",
+  "resisted",
+  "resistor",
+  "resolute",
+  "resolved",
+  "resolver",
+  "resolves",
+  "resonant",
+  "resorted",
+  "resounds",
+  "resource",
+  "respects",
+  "respites",
+  "responds",
+  "response",
+  "restarts",
+  "restless",
+  "restored",
+  "restores",
+  "restrain",
+  "restrict",
+  "resubmit",
+  "resulted",
+  "resuming",
+  "retailed",
+  "retailer",
+  "retained",
+  "retainer",
+  "retarded",
+  "retching",
+  "reticent",
+  "retiring",
+  "retorted",
+  "retraced",
+  "retraces",
+  "retracts",
+  "retreats",
+  "retrieve",
+  "returned",
+  "reunions",
+  "reunited",
+  "reunites",
+  "revamped",
+  "revealed",
+  "revelers",
+  "reveling",
+  "revenged",
+  "revenges",
+  "revenues",
+  "reverent",
+  "reveries",
+  "revering",
+  "reversal",
+  "reversed",
+  "reverses",
+  "reverted",
+  "reviewed",
+  "reviewer",
+  "reviling",
+  "revising",
+  "revision",
+  "revisits",
+  "revivals",
+  "reviving",
+  "revoking",
+  "revolted",
+  "revolved",
+  "revolver",
+  "revolves",
+  "rewarded",
+  "rewrites",
+  "rhapsody",
+  "rhetoric",
+  "rhubarbs",
+  "rhythmic",
+  "richness",
+  "rickshaw",
+  "ricochet",
+  "riddance",
+  "riddling",
+  "ridicule",
+  "rightest",
+  "rightful",
+  "righting",
+  "rigidity",
+  "rigorous",
+  "ringlets",
+  "ringworm",
+  "ripeness",
+  "ripening",
+  "rippling",
+  "riskiest",
+  "rivaling",
+  "riveting",
+  "roadside",
+  "roasting",
+  "robuster",
+  "rocketed",
+  "rockiest",
+  "romanced",
+  "romances",
+  "romantic",
+  "roomiest",
+  "roommate",
+  "roosters",
+  "roosting",
+  "rosaries",
+  "rosemary",
+  "rostrums",
+  "rotaries",
+  "rotating",
+  "rotation",
+  "rottener",
+  "rotundas",
+  "roughage",
+  "roughens",
+  "roughest",
+  "roughing",
+  "roulette",
+  "roundest",
+  "rounding",
+  "routeing",
+  "routines",
+  "rowboats",
+  "rowdiest",
+  "rucksack",
+  "ruckuses",
+  "ruddiest",
+  "rudeness",
+  "ruffians",
+  "ruffling",
+  "ruggeder",
+  "rumbling",
+  "ruminate",
+  "rummaged",
+  "rummages",
+  "rumoring",
+  "rumpling",
+  "runaways",
+  "rundowns",
+  "runniest",
+  "ruptured",
+  "ruptures",
+  "rustiest",
+  "rustlers",
+  "rustling",
+  "ruthless",
+  "sabotage",
+  "saboteur",
+  "saddened",
+  "saddling",
+  "sadistic",
+  "safaried",
+  "safeties",
+  "saffrons",
+  "sailboat",
+  "salaries",
+  "salesman",
+  "salesmen",
+  "salients",
+  "salivate",
+  "sallower",
+  "saltiest",
+  "saluting",
+  "salvaged",
+  "salvages",
+  "sameness",
+  "sampling",
+  "sanctify",
+  "sanction",
+  "sanctity",
+  "sandbags",
+  "sandiest",
+  "sandwich",
+  "sanitary",
+  "sanserif",
+  "saplings",
+  "sapphire",
+  "sarcasms",
+  "sardines",
+  "sassiest",
+  "satchels",
+  "satirist",
+  "satirize",
+  "saturate",
+  "saucepan",
+  "sauciest",
+  "saunaing",
+  "saunters",
+  "sausages",
+  "savagely",
+  "savagery",
+  "savagest",
+  "savaging",
+  "savorier",
+  "savories",
+  "savoring",
+  "savviest",
+  "savvying",
+  "scabbing",
+  "scaffold",
+  "scalding",
+  "scaliest",
+  "scallops",
+  "scalpels",
+  "scalping",
+  "scampers",
+  "scandals",
+  "scanners",
+  "scanning",
+  "scantest",
+  "scantier",
+  "scanties",
+  "scanting",
+  "scarcely",
+  "scarcest",
+  "scarcity",
+  "scarfing",
+  "scariest",
+  "scarring",
+  "scathing",
+  "scatters",
+  "scenario",
+  "scenting",
+  "scepters",
+  "schedule",
+  "schemers",
+  "scheming",
+  "scholars",
+  "schooled",
+  "schooner",
+  "sciences",
+  "scissors",
+  "scoffing",
+  "scolding",
+  "scooping",
+  "scooters",
+  "scooting",
+  "scorched",
+  "scorches",
+  "scornful",
+  "scorning",
+  "scorpion",
+  "scotches",
+  "scourged",
+  "scourges",
+  "scouring",
+  "scouting",
+  "scowling",
+  "scrabble",
+  "scramble",
+  "scrammed",
+  "scraping",
+  "scrapped",
+  "scratchy",
+  "scrawled",
+  "screamed",
+  "screened",
+  "screwier",
+  "screwing",
+  "scribble",
+  "scripted",
+  "scrolled",
+  "scrounge",
+  "scrubbed",
+  "scrupled",
+  "scruples",
+  "scrutiny",
+  "scuffing",
+  "scuffled",
+  "scuffles",
+  "sculptor",
+  "scumming",
+  "scurried",
+  "scurries",
+  "scuttled",
+  "scuttles",
+  "scything",
+  "seaports",
+  "searched",
+  "searches",
+  "seashell",
+  "seashore",
+  "seasides",
+  "seasonal",
+  "seasoned",
+  "seceding",
+  "secluded",
+  "secludes",
+  "seconded",
+  "secondly",
+  "secreted",
+  "secretes",
+  "secretly",
+  "sections",
+  "securely",
+  "securest",
+  "securing",
+  "security",
+  "sedatest",
+  "sedating",
+  "sedative",
+  "sediment",
+  "seducing",
+  "seediest",
+  "seedling",
+  "seesawed",
+  "seething",
+  "segments",
+  "seizures",
+  "selected",
+  "selector",
+  "semantic",
+  "semester",
+  "seminars",
+  "seminary",
+  "senators",
+  "senility",
+  "sensible",
+  "sensibly",
+  "sensuous",
+  "sentence",
+  "sentient",
+  "sentries",
+  "separate",
+  "sequence",
+  "serenade",
+  "serenest",
+  "serenity",
+  "sergeant",
+  "serpents",
+  "servants",
+  "serviced",
+  "services",
+  "sessions",
+  "setbacks",
+  "settable",
+  "settings",
+  "settlers",
+  "settling",
+  "sevenths",
+  "severely",
+  "severest",
+  "severing",
+  "severity",
+  "sexually",
+  "shabbier",
+  "shabbily",
+  "shackled",
+  "shackles",
+  "shadiest",
+  "shadowed",
+  "shafting",
+  "shaggier",
+  "shakiest",
+  "shallows",
+  "shambles",
+  "shameful",
+  "shamming",
+  "shampoos",
+  "shamrock",
+  "shanties",
+  "sharking",
+  "sharpens",
+  "sharpest",
+  "sharping",
+  "shatters",
+  "shearing",
+  "sheathed",
+  "sheathes",
+  "shedding",
+  "sheepish",
+  "sheerest",
+  "sheering",
+  "shelling",
+  "shelters",
+  "shelving",
+  "shepherd",
+  "sherbets",
+  "sheriffs",
+  "sherries",
+  "shielded",
+  "shiftier",
+  "shifting",
+  "shimmers",
+  "shingled",
+  "shingles",
+  "shiniest",
+  "shinning",
+  "shipment",
+  "shipping",
+  "shirking",
+  "shirting",
+  "shivered",
+  "shoaling",
+  "shocking",
+  "shoddier",
+  "shoelace",
+  "shooting",
+  "shoppers",
+  "shopping",
+  "shortage",
+  "shortens",
+  "shortest",
+  "shorting",
+  "shotguns",
+  "shoulder",
+  "shouting",
+  "shoveled",
+  "showcase",
+  "showdown",
+  "showered",
+  "showiest",
+  "showings",
+  "shrapnel",
+  "shredded",
+  "shrewder",
+  "shrieked",
+  "shrilled",
+  "shriller",
+  "shrimped",
+  "shrivels",
+  "shrouded",
+  "shrugged",
+  "shrunken",
+  "shucking",
+  "shudders",
+  "shuffled",
+  "shuffles",
+  "shunning",
+  "shunting",
+  "shutdown",
+  "shutters",
+  "shutting",
+  "shuttled",
+  "shuttles",
+  "siblings",
+  "sickened",
+  "sicklier",
+  "sickness",
+  "sideline",
+  "sidelong",
+  "sideshow",
+  "sidestep",
+  "sidewalk",
+  "sideways",
+  "sighting",
+  "signaled",
+  "signpost",
+  "silenced",
+  "silences",
+  "silenter",
+  "silently",
+  "silliest",
+  "silvered",
+  "simmered",
+  "simplest",
+  "simplify",
+  "simulate",
+  "sincerer",
+  "singeing",
+  "singling",
+  "singular",
+  "sinister",
+  "siphoned",
+  "sirloins",
+  "sissiest",
+  "sisterly",
+  "situated",
+  "situates",
+  "sixpence",
+  "sixteens",
+  "sixtieth",
+  "sizzling",
+  "skeleton",
+  "skeptics",
+  "sketched",
+  "sketches",
+  "skewered",
+  "skidding",
+  "skillets",
+  "skillful",
+  "skimming",
+  "skimpier",
+  "skimping",
+  "skinnier",
+  "skinning",
+  "skippers",
+  "skipping",
+  "skirmish",
+  "skirting",
+  "skittish",
+  "skulking",
+  "skunking",
+  "skylight",
+  "skylines",
+  "slabbing",
+  "slackens",
+  "slackest",
+  "slacking",
+  "slamming",
+  "slanders",
+  "slanting",
+  "slapping",
+  "slashing",
+  "sleazier",
+  "sledding",
+  "sleekest",
+  "sleeking",
+  "sleepers",
+  "sleepier",
+  "sleeping",
+  "sleeting",
+  "sleighed",
+  "slickest",
+  "slicking",
+  "slighted",
+  "slighter",
+  "slightly",
+  "slimiest",
+  "slimmest",
+  "slimming",
+  "slinging",
+  "slinking",
+  "slippers",
+  "slippery",
+  "slipping",
+  "slipshod",
+  "slithers",
+  "slitting",
+  "slivered",
+  "slobbers",
+  "slogging",
+  "sloppier",
+  "slopping",
+  "sloshing",
+  "slothful",
+  "slotting",
+  "slouched",
+  "slouches",
+  "slovenly",
+  "slowness",
+  "slugging",
+  "sluggish",
+  "sluicing",
+  "slumbers",
+  "slumming",
+  "slumping",
+  "slurring",
+  "smacking",
+  "smallest",
+  "smallish",
+  "smallpox",
+  "smartest",
+  "smarting",
+  "smashing",
+  "smearing",
+  "smellier",
+  "smelling",
+  "smelting",
+  "smidgens",
+  "smirking",
+  "smocking",
+  "smokiest",
+  "smolders",
+  "smoothed",
+  "smoother",
+  "smoothly",
+  "smothers",
+  "smudging",
+  "smuggest",
+  "smuggled",
+  "smuggler",
+  "smuggles",
+  "snacking",
+  "snagging",
+  "snailing",
+  "snappier",
+  "snapping",
+  "snapshot",
+  "snarling",
+  "snatched",
+  "snatches",
+  "sneakers",
+  "sneakier",
+  "sneaking",
+  "sneering",
+  "sneezing",
+  "snickers",
+  "sniffing",
+  "sniffled",
+  "sniffles",
+  "snippets",
+  "snipping",
+  "snitched",
+  "snitches",
+  "snobbery",
+  "snobbish",
+  "snooping",
+  "snootier",
+  "snoozing",
+  "snorkels",
+  "snorting",
+  "snowball",
+  "snowfall",
+  "snowiest",
+  "snowplow",
+  "snubbing",
+  "snuffing",
+  "snuggest",
+  "snugging",
+  "snuggled",
+  "snuggles",
+  "soapiest",
+  "soberest",
+  "sobering",
+  "sobriety",
+  "sociable",
+  "socially",
+  "softball",
+  "softened",
+  "softness",
+  "software",
+  "soggiest",
+  "sojourns",
+  "solacing",
+  "soldered",
+  "soldiers",
+  "solemner",
+  "solemnly",
+  "solicits",
+  "solidest",
+  "solidify",
+  "solidity",
+  "solitary",
+  "solitude",
+  "soloists",
+  "solubles",
+  "solution",
+  "solvents",
+  "somebody",
+  "someones",
+  "sometime",
+  "somewhat",
+  "sonorous",
+  "soothing",
+  "sootiest",
+  "sopranos",
+  "sorcerer",
+  "sorority",
+  "sorriest",
+  "sorrowed",
+  "soundest",
+  "sounding",
+  "sourcing",
+  "southern",
+  "southpaw",
+  "souvenir",
+  "spacious",
+  "spangled",
+  "spangles",
+  "spaniels",
+  "spanking",
+  "spanners",
+  "spanning",
+  "sparking",
+  "sparkled",
+  "sparkler",
+  "sparkles",
+  "sparring",
+  "sparrows",
+  "sparsely",
+  "sparsest",
+  "spatters",
+  "spatting",
+  "spatulas",
+  "spawning",
+  "speakers",
+  "speaking",
+  "spearing",
+  "specials",
+  "specific",
+  "specimen",
+  "specious",
+  "specking",
+  "specters",
+  "spectrum",
+  "speeches",
+  "speedier",
+  "speeding",
+  "spelling",
+  "spending",
+  "sphinxes",
+  "spiciest",
+  "spilling",
+  "spinning",
+  "spinster",
+  "spiraled",
+  "spirited",
+  "spiteful",
+  "spitting",
+  "splashed",
+  "splashes",
+  "splatter",
+  "splendid",
+  "splendor",
+  "splicing",
+  "splinted",
+  "splinter",
+  "splurged",
+  "splurges",
+  "spoiling",
+  "spongier",
+  "sponging",
+  "sponsors",
+  "spoofing",
+  "spookier",
+  "spooking",
+  "spooling",
+  "spoonful",
+  "spooning",
+  "sporadic",
+  "sporting",
+  "spotless",
+  "spottier",
+  "spotting",
+  "spouting",
+  "sprained",
+  "sprawled",
+  "spraying",
+  "spreeing",
+  "sprinkle",
+  "sprinted",
+  "sprinter",
+  "sprouted",
+  "sprucest",
+  "sprucing",
+  "spurious",
+  "spurning",
+  "spurring",
+  "spurting",
+  "sputters",
+  "squabble",
+  "squadron",
+  "squalled",
+  "squander",
+  "squarely",
+  "squarest",
+  "squaring",
+  "squashed",
+  "squashes",
+  "squatted",
+  "squatter",
+  "squawked",
+  "squeaked",
+  "squealed",
+  "squeezed",
+  "squeezes",
+  "squinted",
+  "squinter",
+  "squiring",
+  "squirmed",
+  "squirrel",
+  "squirted",
+  "stabbing",
+  "stablest",
+  "stabling",
+  "stacking",
+  "stadiums",
+  "staffing",
+  "staggers",
+  "stagnant",
+  "stagnate",
+  "staidest",
+  "staining",
+  "stairway",
+  "stalking",
+  "stalling",
+  "stallion",
+  "stalwart",
+  "stammers",
+  "stampede",
+  "stamping",
+  "stanched",
+  "stancher",
+  "stanches",
+  "standard",
+  "standbys",
+  "standing",
+  "standoff",
+  "staplers",
+  "stapling",
+  "starched",
+  "starches",
+  "starfish",
+  "starkest",
+  "starrier",
+  "starring",
+  "starters",
+  "starting",
+  "startled",
+  "startles",
+  "starving",
+  "stations",
+  "statures",
+  "statuses",
+  "statutes",
+  "steadied",
+  "steadier",
+  "steadies",
+  "steadily",
+  "stealing",
+  "stealthy",
+  "steamier",
+  "steaming",
+  "steeling",
+  "steepest",
+  "steeping",
+  "steeples",
+  "steering",
+  "stemming",
+  "stenches",
+  "stencils",
+  "stepping",
+  "sterling",
+  "sternest",
+  "stewards",
+  "stickers",
+  "stickier",
+  "stickies",
+  "sticking",
+  "stickler",
+  "stiffens",
+  "stiffest",
+  "stiffing",
+  "stifling",
+  "stigmata",
+  "stillest",
+  "stilling",
+  "stimulus",
+  "stingers",
+  "stingier",
+  "stinging",
+  "stinking",
+  "stinting",
+  "stirring",
+  "stirrups",
+  "stitched",
+  "stitches",
+  "stockade",
+  "stockier",
+  "stocking",
+  "stodgier",
+  "stolider",
+  "stolidly",
+  "stomachs",
+  "stomping",
+  "stoniest",
+  "stooping",
+  "stopgaps",
+  "stopover",
+  "stoppage",
+  "stoppers",
+  "stopping",
+  "stormier",
+  "storming",
+  "stoutest",
+  "stowaway",
+  "straddle",
+  "straggle",
+  "straight",
+  "strained",
+  "strainer",
+  "stranded",
+  "stranger",
+  "strangle",
+  "strapped",
+  "strategy",
+  "stratify",
+  "strawing",
+  "straying",
+  "streaked",
+  "streamed",
+  "streamer",
+  "strength",
+  "stressed",
+  "stresses",
+  "strewing",
+  "stricken",
+  "stricter",
+  "strictly",
+  "stridden",
+  "striding",
+  "strikers",
+  "striking",
+  "striping",
+  "stripped",
+  "stripper",
+  "striving",
+  "stroking",
+  "strolled",
+  "stroller",
+  "stronger",
+  "strongly",
+  "struggle",
+  "strummed",
+  "strutted",
+  "stubbier",
+  "stubbing",
+  "stubborn",
+  "studding",
+  "students",
+  "studious",
+  "studying",
+  "stuffier",
+  "stuffing",
+  "stumbled",
+  "stumbles",
+  "stumping",
+  "stunning",
+  "stunting",
+  "stupider",
+  "stupidly",
+  "sturdier",
+  "stutters",
+  "subduing",
+  "subgroup",
+  "subjects",
+  "sublimed",
+  "sublimer",
+  "sublimes",
+  "submerge",
+  "subsided",
+  "subsides",
+  "subsists",
+  "subtlest",
+  "subtlety",
+  "subtract",
+  "suburban",
+  "subverts",
+  "succeeds",
+  "succinct",
+  "succored",
+  "succumbs",
+  "suckered",
+  "suckling",
+  "suctions",
+  "suddenly",
+  "suffered",
+  "sufferer",
+  "sufficed",
+  "suffices",
+  "suffixed",
+  "suffixes",
+  "suffrage",
+  "sugarier",
+  "sugaring",
+  "suggests",
+  "suicidal",
+  "suicides",
+  "suitable",
+  "suitably",
+  "suitcase",
+  "sulkiest",
+  "sullener",
+  "sultrier",
+  "summered",
+  "summoned",
+  "sunbathe",
+  "sunburns",
+  "sundials",
+  "sundowns",
+  "sundries",
+  "sunlight",
+  "sunniest",
+  "sunrises",
+  "sunshine",
+  "superber",
+  "superbly",
+  "superior",
+  "supplant",
+  "supplest",
+  "supplied",
+  "supplier",
+  "supplies",
+  "supports",
+  "supposed",
+  "supposes",
+  "suppress",
+  "surfaced",
+  "surfaces",
+  "surgeons",
+  "surgical",
+  "surliest",
+  "surmised",
+  "surmises",
+  "surmount",
+  "surnames",
+  "surprise",
+  "surround",
+  "surveyed",
+  "surveyor",
+  "survival",
+  "survived",
+  "survives",
+  "survivor",
+  "suspects",
+  "suspends",
+  "suspense",
+  "sustains",
+  "swabbing",
+  "swaggers",
+  "swallows",
+  "swampier",
+  "swamping",
+  "swapping",
+  "swarming",
+  "swathing",
+  "swatting",
+  "swearing",
+  "sweaters",
+  "sweating",
+  "sweepers",
+  "sweeping",
+  "sweetens",
+  "sweetest",
+  "swellest",
+  "swelling",
+  "swerving",
+  "swiftest",
+  "swigging",
+  "swilling",
+  "swimming",
+  "swindled",
+  "swindler",
+  "swindles",
+  "swinging",
+  "swirling",
+  "swishest",
+  "swishing",
+  "switched",
+  "switcher",
+  "switches",
+  "swiveled",
+  "swooning",
+  "swooping",
+  "syllable",
+  "syllabus",
+  "symbolic",
+  "symmetry",
+  "sympathy",
+  "symphony",
+  "symptoms",
+  "synapses",
+  "syndrome",
+  "synonyms",
+  "synopses",
+  "synopsis",
+  "syphilis",
+  "syringed",
+  "syringes",
+  "tabloids",
+  "tabooing",
+  "tabulate",
+  "taciturn",
+  "tackiest",
+  "tackling",
+  "tactical",
+  "tactless",
+  "tadpoles",
+  "tailgate",
+  "tailored",
+  "tailspin",
+  "tainting",
+  "takeoffs",
+  "takeover",
+  "talented",
+  "talisman",
+  "tallying",
+  "tameness",
+  "tampered",
+  "tangents",
+  "tangible",
+  "tangling",
+  "tangoing",
+  "tankards",
+  "tantrums",
+  "tapering",
+  "tapestry",
+  "tardiest",
+  "targeted",
+  "tarriest",
+  "tarrying",
+  "tasseled",
+  "tasteful",
+  "tastiest",
+  "tattling",
+  "tattooed",
+  "taunting",
+  "tawdrier",
+  "tawniest",
+  "taxation",
+  "taxicabs",
+  "taxpayer",
+  "teachers",
+  "teaching",
+  "teammate",
+  "teamster",
+  "teamwork",
+  "teardrop",
+  "teaspoon",
+  "teenager",
+  "teetered",
+  "teething",
+  "teetotal",
+  "telegram",
+  "teletype",
+  "televise",
+  "telltale",
+  "tempered",
+  "tempests",
+  "template",
+  "temporal",
+  "tempting",
+  "tenacity",
+  "tenanted",
+  "tendency",
+  "tendered",
+  "tenderer",
+  "tenderly",
+  "tendrils",
+  "tenement",
+  "tensions",
+  "tentacle",
+  "tenuring",
+  "terminal",
+  "terminus",
+  "termites",
+  "terraced",
+  "terraces",
+  "terrains",
+  "terrible",
+  "terribly",
+  "terriers",
+  "terrific",
+  "testable",
+  "testicle",
+  "tethered",
+  "textbook",
+  "textiles",
+  "textured",
+  "textures",
+  "thankful",
+  "thanking",
+  "thatched",
+  "thatcher",
+  "thatches",
+  "theaters",
+  "theology",
+  "theorems",
+  "theories",
+  "theorist",
+  "theorize",
+  "thermals",
+  "thesauri",
+  "thickens",
+  "thickest",
+  "thickets",
+  "thimbles",
+  "thinkers",
+  "thinking",
+  "thinnest",
+  "thinning",
+  "thirsted",
+  "thirteen",
+  "thirties",
+  "thistles",
+  "thornier",
+  "thorough",
+  "thoughts",
+  "thousand",
+  "thrashed",
+  "thrashes",
+  "threaded",
+  "threaten",
+  "threshed",
+  "thresher",
+  "threshes",
+  "thrilled",
+  "thriller",
+  "thriving",
+  "throbbed",
+  "thronged",
+  "throttle",
+  "throwing",
+  "thudding",
+  "thumbing",
+  "thumping",
+  "thunders",
+  "thwarted",
+  "thyroids",
+  "ticketed",
+  "tickling",
+  "ticklish",
+  "tightens",
+  "tightest",
+  "tightwad",
+  "timbered",
+  "timeless",
+  "timelier",
+  "timezone",
+  "timidest",
+  "timidity",
+  "tingeing",
+  "tingling",
+  "tinkered",
+  "tinkling",
+  "tinniest",
+  "tinseled",
+  "tipsiest",
+  "tiredest",
+  "tireless",
+  "tiresome",
+  "tittered",
+  "toasters",
+  "toasting",
+  "tobaccos",
+  "toboggan",
+  "toddlers",
+  "toddling",
+  "toenails",
+  "together",
+  "toileted",
+  "tolerant",
+  "tolerate",
+  "tomahawk",
+  "tomatoes",
+  "tomorrow",
+  "tonguing",
+  "tonnages",
+  "topology",
+  "toppling",
+  "torching",
+  "torments",
+  "torrents",
+  "tortilla",
+  "tortoise",
+  "tortuous",
+  "tortured",
+  "tortures",
+  "totaling",
+  "totality",
+  "tottered",
+  "touchier",
+  "touching",
+  "toughens",
+  "toughest",
+  "tourists",
+  "tousling",
+  "toweling",
+  "towering",
+  "tracking",
+  "traction",
+  "tractors",
+  "traffics",
+  "trailers",
+  "trailing",
+  "trainees",
+  "trainers",
+  "training",
+  "traitors",
+  "tramping",
+  "trampled",
+  "tramples",
+  "tranquil",
+  "transact",
+  "transfer",
+  "transits",
+  "transmit",
+  "trapdoor",
+  "trapezes",
+  "trappers",
+  "trapping",
+  "trashcan",
+  "trashier",
+  "trashing",
+  "traveled",
+  "traveler",
+  "traverse",
+  "travesty",
+  "trawlers",
+  "trawling",
+  "treading",
+  "treasure",
+  "treasury",
+  "treaties",
+  "treating",
+  "treatise",
+  "trebling",
+  "trekking",
+  "trembled",
+  "trembles",
+  "trenched",
+  "trenches",
+  "trendier",
+  "trendies",
+  "trending",
+  "trespass",
+  "trestles",
+  "trialing",
+  "triangle",
+  "tribunal",
+  "tributes",
+  "trickery",
+  "trickier",
+  "tricking",
+  "trickled",
+  "trickles",
+  "tricycle",
+  "trifling",
+  "triggers",
+  "trilling",
+  "trillion",
+  "trimmest",
+  "trimming",
+  "trinkets",
+  "triplets",
+  "tripling",
+  "tripping",
+  "triumphs",
+  "trolleys",
+  "trolling",
+  "trombone",
+  "troopers",
+  "trooping",
+  "trophies",
+  "tropical",
+  "trotting",
+  "troubled",
+  "troubles",
+  "trounced",
+  "trounces",
+  "trouping",
+  "trousers",
+  "troweled",
+  "truanted",
+  "trucking",
+  "trudging",
+  "truffles",
+  "trumpets",
+  "trumping",
+  "truncate",
+  "trunking",
+  "trustees",
+  "trustful",
+  "trustier",
+  "trusties",
+  "trusting",
+  "truthful",
+  "tumblers",
+  "tumbling",
+  "tunneled",
+  "turbines",
+  "turmoils",
+  "turnouts",
+  "turnover",
+  "turnpike",
+  "tussling",
+  "tutorial",
+  "tutoring",
+  "twanging",
+  "tweaking",
+  "tweeting",
+  "tweezers",
+  "twelfths",
+  "twenties",
+  "twiddled",
+  "twiddles",
+  "twigging",
+  "twilight",
+  "twinging",
+  "twinkled",
+  "twinkles",
+  "twinning",
+  "twirling",
+  "twisters",
+  "twisting",
+  "twitched",
+  "twitches",
+  "twitters",
+  "typeface",
+  "typesets",
+  "typhoons",
+  "typified",
+  "typifies",
+  "ugliness",
+  "ulterior",
+  "ultimate",
+  "umbrella",
+  "umpiring",
+  "unawares",
+  "unbiased",
+  "unblocks",
+  "unbroken",
+  "unburden",
+  "uncommon",
+  "uncovers",
+  "undercut",
+  "underdog",
+  "underlay",
+  "underlie",
+  "undertow",
+  "undoings",
+  "unearths",
+  "uneasier",
+  "uneasily",
+  "unerring",
+  "unevenly",
+  "unfairer",
+  "unfairly",
+  "unfasten",
+  "unfilled",
+  "unfitted",
+  "unfolded",
+  "unfurled",
+  "ungainly",
+  "unhooked",
+  "unicorns",
+  "unicycle",
+  "uniforms",
+  "unifying",
+  "unionize",
+  "uniquely",
+  "uniquest",
+  "universe",
+  "unjustly",
+  "unkinder",
+  "unkindly",
+  "unknowns",
+  "unlawful",
+  "unlikely",
+  "unloaded",
+  "unlocked",
+  "unmanned",
+  "unmarked",
+  "unmasked",
+  "unnerved",
+  "unnerves",
+  "unpacked",
+  "unproven",
+  "unravels",
+  "unrulier",
+  "unsafest",
+  "unsavory",
+  "unsaying",
+  "unscrews",
+  "unseated",
+  "unseemly",
+  "unsettle",
+  "unsigned",
+  "unsolved",
+  "unstable",
+  "unsuited",
+  "untangle",
+  "untidier",
+  "untiring",
+  "untruest",
+  "unusable",
+  "unveiled",
+  "unwanted",
+  "unwashed",
+  "unwieldy",
+  "unwisest",
+  "unworthy",
+  "updating",
+  "upending",
+  "upgraded",
+  "upgrades",
+  "upheaval",
+  "uplifted",
+  "uprights",
+  "uprising",
+  "uprooted",
+  "upstairs",
+  "upstarts",
+  "upstream",
+  "upturned",
+  "upwardly",
+  "urbanest",
+  "urgently",
+  "urinated",
+  "urinates",
+  "usefully",
+  "ushering",
+  "usurping",
+  "utensils",
+  "utilized",
+  "utilizes",
+  "uttering",
+  "vacating",
+  "vacation",
+  "vaccines",
+  "vacuumed",
+  "vagabond",
+  "vagaries",
+  "vagrants",
+  "valeting",
+  "validate",
+  "validity",
+  "valuable",
+  "vampires",
+  "vanguard",
+  "vanillas",
+  "vanished",
+  "vanishes",
+  "vanities",
+  "vanquish",
+  "vaporize",
+  "variable",
+  "variance",
+  "variants",
+  "vastness",
+  "vaulting",
+  "vehement",
+  "vehicles",
+  "velocity",
+  "veneered",
+  "venerate",
+  "vengeful",
+  "venomous",
+  "ventured",
+  "ventures",
+  "veracity",
+  "verandas",
+  "verbally",
+  "verbatim",
+  "verbiage",
+  "verdicts",
+  "verified",
+  "verifies",
+  "versions",
+  "vertebra",
+  "vertical",
+  "vertices",
+  "vestiges",
+  "vestment",
+  "veterans",
+  "vexation",
+  "viaducts",
+  "vibrated",
+  "vibrates",
+  "vicinity",
+  "vigilant",
+  "vigorous",
+  "vilified",
+  "vilifies",
+  "villager",
+  "villages",
+  "villains",
+  "villainy",
+  "vineyard",
+  "vintages",
+  "violated",
+  "violates",
+  "violence",
+  "virility",
+  "virtuoso",
+  "virtuous",
+  "virulent",
+  "visioned",
+  "visiting",
+  "visitors",
+  "visually",
+  "vitality",
+  "vitamins",
+  "vivacity",
+  "vividest",
+  "vocalist",
+  "vocation",
+  "volatile",
+  "volcanic",
+  "volition",
+  "volleyed",
+  "voltages",
+  "vomiting",
+  "voodooed",
+  "vortexes",
+  "vouchers",
+  "vouching",
+  "voyagers",
+  "voyaging",
+  "vulgarer",
+  "vultures",
+  "waddling",
+  "waffling",
+  "wagering",
+  "waitress",
+  "wakening",
+  "walkouts",
+  "walloped",
+  "wallowed",
+  "walruses",
+  "waltzing",
+  "wandered",
+  "wanderer",
+  "wantoned",
+  "warbling",
+  "wardrobe",
+  "warheads",
+  "warnings",
+  "warpaths",
+  "warrants",
+  "warranty",
+  "warriors",
+  "washable",
+  "washings",
+  "washouts",
+  "washroom",
+  "wasteful",
+  "watchdog",
+  "watchful",
+  "watching",
+  "watchman",
+  "watchmen",
+  "waterier",
+  "watering",
+  "waterway",
+  "waveform",
+  "wavering",
+  "waysides",
+  "weakened",
+  "weakling",
+  "weakness",
+  "weaponry",
+  "weariest",
+  "wearying",
+  "weaseled",
+  "weathers",
+  "weddings",
+  "weediest",
+  "weekdays",
+  "weekends",
+  "weeklies",
+  "weighing",
+  "weighted",
+  "weirdest",
+  "welcomed",
+  "welcomes",
+  "weltered",
+  "werewolf",
+  "westerly",
+  "westerns",
+  "westward",
+  "whacking",
+  "whatever",
+  "wheedled",
+  "wheedles",
+  "wheeling",
+  "wheezing",
+  "whenever",
+  "wherever",
+  "whetting",
+  "whiffing",
+  "whimpers",
+  "whinnied",
+  "whinnies",
+  "whipping",
+  "whirling",
+  "whirring",
+  "whiskers",
+  "whiskeys",
+  "whisking",
+  "whispers",
+  "whistled",
+  "whistles",
+  "whitened",
+  "whittled",
+  "whittles",
+  "whizzing",
+  "whooping",
+  "whoppers",
+  "wickeder",
+  "wickedly",
+  "widening",
+  "widowers",
+  "widowing",
+  "wielding",
+  "wiggling",
+  "wildcats",
+  "wildfire",
+  "wildlife",
+  "wildness",
+  "winching",
+  "windfall",
+  "windiest",
+  "windmill",
+  "windpipe",
+  "winnings",
+  "winsomer",
+  "wintered",
+  "wintrier",
+  "wishbone",
+  "wispiest",
+  "witching",
+  "withdraw",
+  "withdrew",
+  "withered",
+  "withheld",
+  "withhold",
+  "wittiest",
+  "wobblier",
+  "wobbling",
+  "wondered",
+  "wondrous",
+  "woodener",
+  "woodiest",
+  "woodland",
+  "woodsman",
+  "woodsmen",
+  "woodwind",
+  "woodwork",
+  "woollier",
+  "woollies",
+  "wordiest",
+  "wordings",
+  "workable",
+  "workbook",
+  "workings",
+  "workload",
+  "workouts",
+  "workshop",
+  "wormhole",
+  "worrying",
+  "worsened",
+  "worships",
+  "worsting",
+  "worthier",
+  "worthies",
+  "wounding",
+  "wrangled",
+  "wrangler",
+  "wrangles",
+  "wrappers",
+  "wrapping",
+  "wreaking",
+  "wreathed",
+  "wreathes",
+  "wreckage",
+  "wrecking",
+  "wrenched",
+  "wrenches",
+  "wresting",
+  "wrestled",
+  "wrestler",
+  "wrestles",
+  "wretched",
+  "wretches",
+  "wriggled",
+  "wriggles",
+  "wringers",
+  "wringing",
+  "wrinkled",
+  "wrinkles",
+  "writable",
+  "writhing",
+  "writings",
+  "wrongest",
+  "wronging",
+  "yachting",
+  "yearlies",
+  "yearling",
+  "yearning",
+  "yellowed",
+  "yellower",
+  "yielding",
+  "yodeling",
+  "youngest",
+  "yourself",
+  "youthful",
+  "zillions",
+  "zincking",
+  "zippered",
+  "zucchini"
+];
+
+/**
+ * Other accepted 8-letter guesses
+ * Total: 3606 words
+ */
+export const VALID_GUESSES_LIST = [
+  "abalones",
+  "abashing",
+  "abattoir",
+  "abbesses",
+  "abductee",
+  "abductor",
+  "aberrant",
+  "abettors",
+  "abeyance",
+  "abjectly",
+  "abjuring",
+  "ablative",
+  "ablution",
+  "abnegate",
+  "abrading",
+  "abrasion",
+  "abrogate",
+  "abscissa",
+  "absently",
+  "absinthe",
+  "abutment",
+  "abutting",
+  "academia",
+  "acanthus",
+  "accruals",
+  "accursed",
+  "acerbity",
+  "acetates",
+  "achiever",
+  "acolytes",
+  "aconites",
+  "acrostic",
+  "actinium",
+  "activism",
+  "actuated",
+  "actuates",
+  "actuator",
+  "adapters",
+  "adducing",
+  "adenoids",
+  "adequacy",
+  "adjudged",
+  "adjudges",
+  "adjuring",
+  "adjuster",
+  "adjutant",
+  "adoptive",
+  "adorably",
+  "adrenals",
+  "adulated",
+  "adulates",
+  "adverted",
+  "advocacy",
+  "aerating",
+  "aeration",
+  "aerators",
+  "aerobics",
+  "aesthete",
+  "afforest",
+  "aflutter",
+  "aggrieve",
+  "aglitter",
+  "agrarian",
+  "agronomy",
+  "ailerons",
+  "airbrush",
+  "airdrops",
+  "airfares",
+  "airfoils",
+  "airheads",
+  "airiness",
+  "airlifts",
+  "airships",
+  "airspace",
+  "airwaves",
+  "alacrity",
+  "albacore",
+  "alderman",
+  "aldermen",
+  "alfresco",
+  "algebras",
+  "alkaloid",
+  "allegros",
+  "alleluia",
+  "allergen",
+  "alleyway",
+  "allspice",
+  "allusive",
+  "alluvial",
+  "alluvium",
+  "altruist",
+  "amalgams",
+  "amaranth",
+  "ambrosia",
+  "ammeters",
+  "amnesiac",
+  "amorally",
+  "amortize",
+  "amperage",
+  "amputees",
+  "anaconda",
+  "anagrams",
+  "anapests",
+  "anatomic",
+  "andantes",
+  "andirons",
+  "androgen",
+  "anemones",
+  "aneurysm",
+  "angstrom",
+  "animator",
+  "animists",
+  "annealed",
+  "anodynes",
+  "anorexia",
+  "anorexic",
+  "antacids",
+  "antedate",
+  "anterior",
+  "anteroom",
+  "anticked",
+  "antigens",
+  "antihero",
+  "antimony",
+  "antlered",
+  "aperitif",
+  "aphasics",
+  "aphelion",
+  "apiaries",
+  "apologia",
+  "apoplexy",
+  "apostasy",
+  "apostate",
+  "appeaser",
+  "apprised",
+  "apprises",
+  "aquanaut",
+  "aquifers",
+  "aquiline",
+  "arachnid",
+  "arboreal",
+  "archaism",
+  "archduke",
+  "archness",
+  "argosies",
+  "armature",
+  "armbands",
+  "armholes",
+  "armorers",
+  "armrests",
+  "arpeggio",
+  "arranger",
+  "arrogate",
+  "arsonist",
+  "artfully",
+  "artistes",
+  "artsiest",
+  "artworks",
+  "asperity",
+  "asphyxia",
+  "aspirate",
+  "assaying",
+  "assholes",
+  "assuaged",
+  "assuages",
+  "ateliers",
+  "atomizer",
+  "attender",
+  "attuning",
+  "atwitter",
+  "atypical",
+  "auguries",
+  "auguring",
+  "aureoles",
+  "auricles",
+  "auspices",
+  "autistic",
+  "avengers",
+  "averring",
+  "aviaries",
+  "aviatrix",
+  "avionics",
+  "avowedly",
+  "azimuths",
+  "babblers",
+  "babushka",
+  "babyhood",
+  "babysits",
+  "bacillus",
+  "backache",
+  "backbite",
+  "backdate",
+  "backdrop",
+  "backhoes",
+  "backless",
+  "backrest",
+  "backslid",
+  "backspin",
+  "backstop",
+  "backwash",
+  "backyard",
+  "badinage",
+  "badlands",
+  "badmouth",
+  "bagpipes",
+  "bailiffs",
+  "bailouts",
+  "balkiest",
+  "ballpark",
+  "ballsier",
+  "ballyhoo",
+  "baluster",
+  "banality",
+  "banditry",
+  "banjoist",
+  "bankbook",
+  "bankroll",
+  "banshees",
+  "baptists",
+  "barbacoa",
+  "barbells",
+  "barberry",
+  "bareness",
+  "baristas",
+  "barmaids",
+  "baroness",
+  "baronets",
+  "baronial",
+  "barracks",
+  "barrooms",
+  "baseless",
+  "baseness",
+  "basilica",
+  "bassinet",
+  "bassists",
+  "bastions",
+  "bathmats",
+  "bathrobe",
+  "battened",
+  "battiest",
+  "bayberry",
+  "bazookas",
+  "beanbags",
+  "bearskin",
+  "beatific",
+  "beatings",
+  "beatniks",
+  "becalmed",
+  "bedazzle",
+  "bedecked",
+  "bedevils",
+  "bedrolls",
+  "bedsores",
+  "bedstead",
+  "beechnut",
+  "beelines",
+  "befogged",
+  "befouled",
+  "befuddle",
+  "beggarly",
+  "begonias",
+  "begotten",
+  "behemoth",
+  "beholden",
+  "behooved",
+  "behooves",
+  "belaying",
+  "bellyful",
+  "beltways",
+  "benefice",
+  "benignly",
+  "benumbed",
+  "berating",
+  "beriberi",
+  "besieger",
+  "besmirch",
+  "besotted",
+  "bespeaks",
+  "bespoken",
+  "bestiary",
+  "bestowal",
+  "bestride",
+  "bestrode",
+  "betaking",
+  "bethinks",
+  "betiding",
+  "betokens",
+  "betrayer",
+  "betroths",
+  "beveling",
+  "bewailed",
+  "biannual",
+  "biathlon",
+  "bibulous",
+  "bicuspid",
+  "bighorns",
+  "bigmouth",
+  "billeted",
+  "billings",
+  "binnacle",
+  "biopsied",
+  "biopsies",
+  "biracial",
+  "birdbath",
+  "birdseed",
+  "birettas",
+  "birthers",
+  "bisector",
+  "bitchier",
+  "bitcoins",
+  "bitingly",
+  "bitterns",
+  "bivalves",
+  "bivouacs",
+  "biweekly",
+  "blackish",
+  "blarneys",
+  "blasters",
+  "blastoff",
+  "blazoned",
+  "bleacher",
+  "blearily",
+  "bleeders",
+  "bleeping",
+  "blenched",
+  "blenches",
+  "blenders",
+  "blinders",
+  "blintzes",
+  "bloating",
+  "bloomers",
+  "bloopers",
+  "blowguns",
+  "blowzier",
+  "bluefish",
+  "bluenose",
+  "bluffers",
+  "blurrier",
+  "blushers",
+  "blustery",
+  "boasters",
+  "bobbling",
+  "bobolink",
+  "bobtails",
+  "bobwhite",
+  "bogeying",
+  "bogeyman",
+  "bogeymen",
+  "boggiest",
+  "bohemian",
+  "boilings",
+  "boldface",
+  "bonanzas",
+  "bondsman",
+  "bondsmen",
+  "bonehead",
+  "boneless",
+  "bonniest",
+  "bootless",
+  "booziest",
+  "bordello",
+  "borrower",
+  "botulism",
+  "boudoirs",
+  "bouffant",
+  "bouillon",
+  "bouncers",
+  "bouncier",
+  "bounders",
+  "bowsprit",
+  "boyishly",
+  "braggers",
+  "brakeman",
+  "brakemen",
+  "brambles",
+  "brattier",
+  "bravuras",
+  "brawlers",
+  "brazenly",
+  "breakage",
+  "breakers",
+  "breakups",
+  "breeches",
+  "breezily",
+  "breviary",
+  "brickbat",
+  "brigands",
+  "brindled",
+  "briskets",
+  "bromides",
+  "bronchus",
+  "brooders",
+  "brothels",
+  "brouhaha",
+  "brownish",
+  "brownout",
+  "browsers",
+  "bruisers",
+  "buckeyes",
+  "bucklers",
+  "bucksaws",
+  "buckshot",
+  "buckskin",
+  "bucolics",
+  "buddings",
+  "bugaboos",
+  "bugbears",
+  "buildups",
+  "bulgiest",
+  "bulimics",
+  "bulkhead",
+  "bullhorn",
+  "bullocks",
+  "bullpens",
+  "bullring",
+  "bullshit",
+  "bulwarks",
+  "bumblers",
+  "bumbling",
+  "bumpkins",
+  "bunghole",
+  "buntings",
+  "burgeons",
+  "burghers",
+  "burgling",
+  "burnoose",
+  "burnouts",
+  "burritos",
+  "bursitis",
+  "bushings",
+  "busyness",
+  "busywork",
+  "buzzkill",
+  "buzzword",
+  "caboodle",
+  "cadavers",
+  "cadenzas",
+  "caduceus",
+  "caesuras",
+  "caginess",
+  "caissons",
+  "cajolery",
+  "calabash",
+  "calamine",
+  "calcined",
+  "calcines",
+  "calfskin",
+  "calipers",
+  "calliope",
+  "callower",
+  "calypsos",
+  "cambered",
+  "cambiums",
+  "camellia",
+  "camisole",
+  "campfire",
+  "campiest",
+  "campsite",
+  "camshaft",
+  "cannabis",
+  "canoeist",
+  "canonize",
+  "cantatas",
+  "canticle",
+  "capitols",
+  "capstans",
+  "captious",
+  "carapace",
+  "caraways",
+  "carbides",
+  "carbines",
+  "careened",
+  "careworn",
+  "carillon",
+  "carjacks",
+  "carmines",
+  "carnally",
+  "carolers",
+  "caroming",
+  "carotids",
+  "carousal",
+  "carousel",
+  "carouser",
+  "carports",
+  "carryall",
+  "carryout",
+  "carvings",
+  "caryatid",
+  "caseload",
+  "casement",
+  "casework",
+  "cashback",
+  "cassavas",
+  "cassocks",
+  "castanet",
+  "casuists",
+  "catacomb",
+  "catalpas",
+  "catalyst",
+  "catalyze",
+  "catbirds",
+  "catboats",
+  "catchall",
+  "catchers",
+  "catheter",
+  "cathodes",
+  "cattails",
+  "cattiest",
+  "cauldron",
+  "causally",
+  "caviling",
+  "cedillas",
+  "celerity",
+  "celestas",
+  "cenotaph",
+  "centaurs",
+  "centimes",
+  "centrist",
+  "cephalic",
+  "ceramics",
+  "cerebrum",
+  "cerulean",
+  "cervices",
+  "cesarean",
+  "cessions",
+  "cesspool",
+  "cetacean",
+  "chambray",
+  "chancels",
+  "chancery",
+  "chancier",
+  "chandler",
+  "chanters",
+  "chanteys",
+  "chaplets",
+  "charades",
+  "chargers",
+  "chariest",
+  "charmers",
+  "chastely",
+  "chasuble",
+  "chateaus",
+  "chattels",
+  "chattily",
+  "cheaters",
+  "cheekier",
+  "cheekily",
+  "cheerily",
+  "cheesier",
+  "chemises",
+  "chenille",
+  "cheroots",
+  "cherubic",
+  "chessman",
+  "chessmen",
+  "chevrons",
+  "chickpea",
+  "chiggers",
+  "chignons",
+  "chillers",
+  "chimeras",
+  "chirrups",
+  "chiseler",
+  "chitchat",
+  "chloride",
+  "chocking",
+  "choleric",
+  "chomping",
+  "choppily",
+  "chorales",
+  "churlish",
+  "chutzpah",
+  "ciabatta",
+  "cicatrix",
+  "cilantro",
+  "cinchona",
+  "cincture",
+  "cinnabar",
+  "circlets",
+  "citadels",
+  "claimant",
+  "clambake",
+  "clannish",
+  "clarions",
+  "classier",
+  "clavicle",
+  "clayiest",
+  "cleanups",
+  "clematis",
+  "climatic",
+  "clincher",
+  "clingier",
+  "clinkers",
+  "clippers",
+  "cliquish",
+  "clitoral",
+  "clobbers",
+  "clomping",
+  "clopping",
+  "closeout",
+  "clothier",
+  "clotures",
+  "clownish",
+  "clubfeet",
+  "clubfoot",
+  "clunkers",
+  "clunkier",
+  "clunking",
+  "coachman",
+  "coachmen",
+  "coatings",
+  "coauthor",
+  "cobbling",
+  "coccyges",
+  "cochleae",
+  "cochleas",
+  "cockades",
+  "cockatoo",
+  "cockerel",
+  "cockneys",
+  "cocksure",
+  "coddling",
+  "codicils",
+  "codified",
+  "codifies",
+  "coequals",
+  "coercive",
+  "cogently",
+  "cogitate",
+  "cognates",
+  "cognomen",
+  "cogwheel",
+  "cohabits",
+  "cohering",
+  "cohesion",
+  "cohesive",
+  "coiffing",
+  "coiffure",
+  "coleslaw",
+  "coliseum",
+  "colleens",
+  "colliers",
+  "colliery",
+  "colloids",
+  "colloquy",
+  "colluded",
+  "colludes",
+  "colognes",
+  "colonist",
+  "colossus",
+  "columned",
+  "comatose",
+  "comedown",
+  "comfiest",
+  "commodes",
+  "comports",
+  "compotes",
+  "conclave",
+  "condoled",
+  "condoles",
+  "conduced",
+  "conduces",
+  "conduits",
+  "confuted",
+  "confutes",
+  "congaing",
+  "conjoins",
+  "conjoint",
+  "conjurer",
+  "connived",
+  "conniver",
+  "connives",
+  "continua",
+  "contrail",
+  "contused",
+  "contuses",
+  "conveyor",
+  "convoked",
+  "convokes",
+  "cookouts",
+  "coolants",
+  "coolness",
+  "coopered",
+  "copilots",
+  "copycats",
+  "coquette",
+  "cornball",
+  "corncobs",
+  "cornices",
+  "cornrows",
+  "corollas",
+  "coronets",
+  "corsairs",
+  "cortical",
+  "cortices",
+  "cosigned",
+  "cosigner",
+  "coteries",
+  "couplets",
+  "courtier",
+  "coverall",
+  "coverlet",
+  "cowbirds",
+  "cowhands",
+  "cowlicks",
+  "cowlings",
+  "coworker",
+  "cowpokes",
+  "cowslips",
+  "coxcombs",
+  "coxswain",
+  "cozening",
+  "crabbily",
+  "crackups",
+  "crannies",
+  "crappier",
+  "crapping",
+  "cravenly",
+  "creamers",
+  "creamery",
+  "credenza",
+  "credibly",
+  "creepers",
+  "creepily",
+  "creosote",
+  "cribbage",
+  "cricking",
+  "crimping",
+  "crispier",
+  "critters",
+  "crooners",
+  "croppers",
+  "crosiers",
+  "crossbar",
+  "crotchet",
+  "croupier",
+  "crucible",
+  "cruddier",
+  "crullers",
+  "crumbier",
+  "crumpets",
+  "cruncher",
+  "cuckolds",
+  "cuddlier",
+  "cudgeled",
+  "culottes",
+  "culverts",
+  "cupcakes",
+  "cupidity",
+  "curacies",
+  "curative",
+  "curlicue",
+  "curliest",
+  "curtness",
+  "curviest",
+  "cushiest",
+  "cuteness",
+  "cutesier",
+  "cybersex",
+  "cyclamen",
+  "cyclical",
+  "cyclonic",
+  "cynosure",
+  "cytology",
+  "czarinas",
+  "dabblers",
+  "dactylic",
+  "daffiest",
+  "daiquiri",
+  "dairying",
+  "dairyman",
+  "dairymen",
+  "damasked",
+  "damnable",
+  "damnably",
+  "dandling",
+  "dankness",
+  "dappling",
+  "daringly",
+  "darkroom",
+  "darneder",
+  "dashikis",
+  "datatype",
+  "dateline",
+  "dauphins",
+  "dawdlers",
+  "deadbeat",
+  "deadbolt",
+  "deadpans",
+  "deadwood",
+  "deafened",
+  "dearness",
+  "debacles",
+  "debarked",
+  "debarred",
+  "debaters",
+  "decamped",
+  "decanted",
+  "decedent",
+  "deceiver",
+  "deckhand",
+  "declaims",
+  "deepness",
+  "deerskin",
+  "defector",
+  "definers",
+  "defogger",
+  "deforest",
+  "defrayal",
+  "defrayed",
+  "deftness",
+  "defusing",
+  "delusive",
+  "demagogy",
+  "demesnes",
+  "demigods",
+  "demijohn",
+  "demoniac",
+  "demurred",
+  "denature",
+  "dendrite",
+  "denizens",
+  "dentures",
+  "denuding",
+  "deplaned",
+  "deplanes",
+  "deployed",
+  "deputing",
+  "deputize",
+  "derisive",
+  "derisory",
+  "derogate",
+  "descants",
+  "descried",
+  "descries",
+  "desktops",
+  "despoils",
+  "destruct",
+  "detainee",
+  "detentes",
+  "detoxify",
+  "detoxing",
+  "detritus",
+  "devalued",
+  "devalues",
+  "deviance",
+  "deviants",
+  "devilish",
+  "deviltry",
+  "dewberry",
+  "dewdrops",
+  "dextrose",
+  "diabolic",
+  "dialyses",
+  "dialysis",
+  "dialyzes",
+  "diarists",
+  "dibbling",
+  "dickered",
+  "didactic",
+  "diddling",
+  "diereses",
+  "dieresis",
+  "dietetic",
+  "digraphs",
+  "dilatory",
+  "dinettes",
+  "dinkiest",
+  "diocesan",
+  "dioramas",
+  "dipstick",
+  "disabuse",
+  "discoing",
+  "disgorge",
+  "dishevel",
+  "dishpans",
+  "dishrags",
+  "disinter",
+  "diskette",
+  "dispirit",
+  "disports",
+  "disproof",
+  "disrobed",
+  "disrobes",
+  "distaffs",
+  "distrait",
+  "disunite",
+  "disunity",
+  "diuretic",
+  "dividers",
+  "divinely",
+  "diviners",
+  "divvying",
+  "docilely",
+  "docility",
+  "docketed",
+  "dockyard",
+  "doctoral",
+  "doddered",
+  "dogfight",
+  "doggiest",
+  "doggoner",
+  "doggones",
+  "dogtrots",
+  "dolloped",
+  "dolorous",
+  "domineer",
+  "doodlers",
+  "doomsday",
+  "doorbell",
+  "doorknob",
+  "doormats",
+  "dorkiest",
+  "dormancy",
+  "dormouse",
+  "dossiers",
+  "dotingly",
+  "doublets",
+  "doubloon",
+  "doubters",
+  "douching",
+  "doughier",
+  "dovetail",
+  "dowagers",
+  "doweling",
+  "downbeat",
+  "download",
+  "downplay",
+  "downsize",
+  "downtime",
+  "downturn",
+  "downwind",
+  "doxology",
+  "drabness",
+  "drachmas",
+  "draftees",
+  "dragnets",
+  "dragoons",
+  "drainers",
+  "dreamily",
+  "drearily",
+  "dredgers",
+  "dressage",
+  "dribbler",
+  "driblets",
+  "drifters",
+  "drivings",
+  "drollery",
+  "droopier",
+  "droplets",
+  "droppers",
+  "drowsily",
+  "drubbing",
+  "duckbill",
+  "ductless",
+  "duelists",
+  "dukedoms",
+  "dulcimer",
+  "dullards",
+  "dumbness",
+  "dungaree",
+  "duodenal",
+  "duodenum",
+  "dustbins",
+  "dustless",
+  "dutiable",
+  "dwarfish",
+  "dwarfism",
+  "dyestuff",
+  "dynamism",
+  "dynastic",
+  "dyslexic",
+  "earldoms",
+  "earlobes",
+  "earmuffs",
+  "earphone",
+  "earplugs",
+  "easiness",
+  "eatables",
+  "eateries",
+  "echelons",
+  "ecliptic",
+  "edginess",
+  "edifying",
+  "editable",
+  "educable",
+  "eeriness",
+  "effacing",
+  "efficacy",
+  "effluent",
+  "effusion",
+  "eggheads",
+  "eggshell",
+  "egoistic",
+  "egresses",
+  "elegiacs",
+  "elisions",
+  "elitists",
+  "emaciate",
+  "embalmer",
+  "emblazon",
+  "embolden",
+  "embolism",
+  "embroils",
+  "emceeing",
+  "emending",
+  "emeritus",
+  "emirates",
+  "emulsify",
+  "enamored",
+  "encamped",
+  "enclaves",
+  "encoders",
+  "encrusts",
+  "encrypts",
+  "endorser",
+  "energize",
+  "enervate",
+  "enfeeble",
+  "enfolded",
+  "enforcer",
+  "engorged",
+  "engorges",
+  "enhancer",
+  "enjoined",
+  "enlarger",
+  "enlistee",
+  "enmeshed",
+  "enmeshes",
+  "ennobled",
+  "ennobles",
+  "ensconce",
+  "enshroud",
+  "ensnared",
+  "ensnares",
+  "ententes",
+  "enthrone",
+  "enthused",
+  "enthuses",
+  "entombed",
+  "entryway",
+  "enviably",
+  "envision",
+  "epicures",
+  "epigrams",
+  "episodic",
+  "epistles",
+  "epoxying",
+  "equipage",
+  "erasures",
+  "erectile",
+  "ersatzes",
+  "escapees",
+  "escapist",
+  "escarole",
+  "eschewed",
+  "espousal",
+  "espoused",
+  "espouses",
+  "espresso",
+  "esquires",
+  "essayist",
+  "estrange",
+  "estrogen",
+  "etiology",
+  "eugenics",
+  "euphoria",
+  "euphoric",
+  "eutectic",
+  "evacuees",
+  "eventide",
+  "evildoer",
+  "evincing",
+  "excision",
+  "execrate",
+  "exegeses",
+  "exegesis",
+  "exemplar",
+  "exigency",
+  "exiguous",
+  "exorcise",
+  "exorcism",
+  "exorcist",
+  "expiated",
+  "expiates",
+  "expunged",
+  "expunges",
+  "extruded",
+  "extrudes",
+  "eyeglass",
+  "eyeliner",
+  "eyepiece",
+  "eyeteeth",
+  "eyetooth",
+  "facially",
+  "factotum",
+  "fairways",
+  "falconer",
+  "falconry",
+  "fallibly",
+  "falloffs",
+  "fallowed",
+  "familial",
+  "famished",
+  "famishes",
+  "famously",
+  "fanciers",
+  "farcical",
+  "farmhand",
+  "farmyard",
+  "farrowed",
+  "farthing",
+  "fastness",
+  "fatalism",
+  "fatalist",
+  "fatheads",
+  "faultily",
+  "feasibly",
+  "feckless",
+  "federate",
+  "feedbags",
+  "feedings",
+  "feistier",
+  "feldspar",
+  "felicity",
+  "fellatio",
+  "ferrules",
+  "fervency",
+  "fervidly",
+  "fetlocks",
+  "fielders",
+  "figurine",
+  "filberts",
+  "filigree",
+  "fillings",
+  "filliped",
+  "filtrate",
+  "finagled",
+  "finagler",
+  "finagles",
+  "fineness",
+  "finisher",
+  "finitely",
+  "fireball",
+  "firebomb",
+  "firebugs",
+  "fireplug",
+  "firetrap",
+  "firewall",
+  "fiscally",
+  "fishbowl",
+  "fishhook",
+  "fishnets",
+  "fishtail",
+  "fishwife",
+  "fistfuls",
+  "fitfully",
+  "fixating",
+  "fixative",
+  "fizziest",
+  "flagella",
+  "flamenco",
+  "flamings",
+  "flappers",
+  "flashers",
+  "flashgun",
+  "flashily",
+  "flatbeds",
+  "flatboat",
+  "flatcars",
+  "flatfeet",
+  "flatfish",
+  "flatfoot",
+  "flatiron",
+  "flattops",
+  "flatware",
+  "flextime",
+  "flimflam",
+  "flimsily",
+  "flintier",
+  "floaters",
+  "floodlit",
+  "floozies",
+  "floridly",
+  "flubbing",
+  "fluidity",
+  "flukiest",
+  "fluoride",
+  "fluorine",
+  "fluorite",
+  "fluttery",
+  "flypaper",
+  "flysheet",
+  "flyspeck",
+  "flywheel",
+  "fogbound",
+  "foldaway",
+  "follicle",
+  "fondants",
+  "foolscap",
+  "footfall",
+  "footrest",
+  "footsies",
+  "footsore",
+  "foragers",
+  "forebear",
+  "forefeet",
+  "forefoot",
+  "forehand",
+  "forelock",
+  "foremast",
+  "forename",
+  "forenoon",
+  "foresail",
+  "forester",
+  "forklift",
+  "forsooth",
+  "foulness",
+  "fourfold",
+  "foursome",
+  "fourthly",
+  "foxglove",
+  "foxholes",
+  "foxhound",
+  "foxtrots",
+  "fracking",
+  "fractals",
+  "frazzled",
+  "frazzles",
+  "freakier",
+  "freakish",
+  "freebase",
+  "freebies",
+  "freedman",
+  "freedmen",
+  "freehold",
+  "freeload",
+  "freewill",
+  "frenetic",
+  "frescoes",
+  "freshets",
+  "fretwork",
+  "frigidly",
+  "frippery",
+  "friskily",
+  "frizzing",
+  "frizzled",
+  "frizzles",
+  "frostily",
+  "frowzier",
+  "fructify",
+  "fructose",
+  "frumpier",
+  "fuchsias",
+  "fuddling",
+  "fullback",
+  "fumblers",
+  "funereal",
+  "funkiest",
+  "furbelow",
+  "furriers",
+  "fustiest",
+  "futilely",
+  "futurity",
+  "gabbiest",
+  "gabbling",
+  "gadabout",
+  "gadflies",
+  "gadgetry",
+  "gainsaid",
+  "gainsays",
+  "galleons",
+  "galoshes",
+  "galvanic",
+  "gamboled",
+  "gamecock",
+  "gameness",
+  "gangland",
+  "ganglion",
+  "gantlets",
+  "gantries",
+  "garbanzo",
+  "garishly",
+  "garlicky",
+  "garnered",
+  "garroted",
+  "garrotes",
+  "gaslight",
+  "gassiest",
+  "gasworks",
+  "gatepost",
+  "gatherer",
+  "gauchest",
+  "gauziest",
+  "gavottes",
+  "gazpacho",
+  "geekiest",
+  "gemstone",
+  "gendarme",
+  "genitive",
+  "gentians",
+  "gentrify",
+  "geocache",
+  "geodesic",
+  "geologic",
+  "geometer",
+  "germinal",
+  "gestated",
+  "gestates",
+  "gherkins",
+  "ghoulish",
+  "giantess",
+  "gibbeted",
+  "gigabits",
+  "gigabyte",
+  "gigglers",
+  "gigglier",
+  "gimcrack",
+  "gimleted",
+  "gimmicky",
+  "ginkgoes",
+  "giveaway",
+  "gladiola",
+  "gladioli",
+  "gladness",
+  "glassful",
+  "glaucoma",
+  "glaziers",
+  "glibness",
+  "glitches",
+  "glittery",
+  "glitzier",
+  "gloaming",
+  "gloomily",
+  "glowworm",
+  "glumness",
+  "glycerol",
+  "glycogen",
+  "gnarlier",
+  "goalpost",
+  "goatherd",
+  "goatskin",
+  "gobblers",
+  "goggling",
+  "goodbyes",
+  "goodlier",
+  "googling",
+  "goriness",
+  "gourmand",
+  "goutiest",
+  "grackles",
+  "grafters",
+  "grainier",
+  "granddad",
+  "grandees",
+  "grandmas",
+  "grandpas",
+  "grapnels",
+  "gravelly",
+  "grayness",
+  "greenish",
+  "gridlock",
+  "griffins",
+  "grimness",
+  "groggily",
+  "grommets",
+  "grosbeak",
+  "grounder",
+  "groupies",
+  "grouting",
+  "groveler",
+  "grownups",
+  "grumbler",
+  "grumpily",
+  "grungier",
+  "guaranty",
+  "guessers",
+  "guilders",
+  "guileful",
+  "gunboats",
+  "gunfight",
+  "gunpoint",
+  "gunsmith",
+  "gunwales",
+  "gushiest",
+  "gusseted",
+  "gutsiest",
+  "guttural",
+  "guzzlers",
+  "hacienda",
+  "hagglers",
+  "hairless",
+  "hairnets",
+  "hairpins",
+  "halberds",
+  "halfback",
+  "halftime",
+  "hallowed",
+  "halogens",
+  "halyards",
+  "handball",
+  "handbill",
+  "handcars",
+  "handcart",
+  "handguns",
+  "handheld",
+  "handmaid",
+  "handpick",
+  "handsets",
+  "handwork",
+  "handyman",
+  "handymen",
+  "hangnail",
+  "hardball",
+  "hardener",
+  "hardness",
+  "hardtack",
+  "hardtops",
+  "harelips",
+  "harridan",
+  "hashtags",
+  "hassocks",
+  "hatchery",
+  "hatchway",
+  "haunches",
+  "hawthorn",
+  "haycocks",
+  "haylofts",
+  "hayseeds",
+  "hazelnut",
+  "haziness",
+  "headband",
+  "headgear",
+  "headless",
+  "headlock",
+  "headsets",
+  "headwind",
+  "headword",
+  "hearkens",
+  "heavyset",
+  "hectares",
+  "hectored",
+  "hedgerow",
+  "hedonism",
+  "hedonist",
+  "heehawed",
+  "hegemony",
+  "heisting",
+  "hellhole",
+  "hellions",
+  "helmsman",
+  "helmsmen",
+  "helpline",
+  "helpmate",
+  "hemlines",
+  "hennaing",
+  "henpecks",
+  "heptagon",
+  "heraldic",
+  "heraldry",
+  "herdsman",
+  "herdsmen",
+  "hereupon",
+  "hermetic",
+  "hibachis",
+  "hibiscus",
+  "hiccough",
+  "hideouts",
+  "highball",
+  "highborn",
+  "highboys",
+  "highness",
+  "hightail",
+  "hijacker",
+  "hillocks",
+  "hilltops",
+  "hindmost",
+  "hireling",
+  "hoariest",
+  "hoarsely",
+  "hobbyist",
+  "hobnails",
+  "hockshop",
+  "hoedowns",
+  "hogshead",
+  "holdings",
+  "holdouts",
+  "holdover",
+  "holistic",
+  "hollowly",
+  "hologram",
+  "homburgs",
+  "homebody",
+  "homeboys",
+  "homepage",
+  "homering",
+  "homeroom",
+  "hometown",
+  "homilies",
+  "honeybee",
+  "honeydew",
+  "hoodooed",
+  "hookworm",
+  "hooligan",
+  "hormonal",
+  "hornless",
+  "hornpipe",
+  "horology",
+  "horridly",
+  "horsefly",
+  "horsemen",
+  "horsiest",
+  "hosannas",
+  "hospices",
+  "hosteler",
+  "hostelry",
+  "hostlers",
+  "hotcakes",
+  "hotelier",
+  "hothouse",
+  "hotshots",
+  "housefly",
+  "housetop",
+  "howitzer",
+  "huckster",
+  "hugeness",
+  "humanoid",
+  "humidors",
+  "hummocks",
+  "humpback",
+  "hungover",
+  "hunkered",
+  "huntress",
+  "huntsman",
+  "huntsmen",
+  "hurdlers",
+  "hustings",
+  "hydrated",
+  "hydrates",
+  "hypnoses",
+  "icebound",
+  "iceboxes",
+  "idealism",
+  "ideogram",
+  "idleness",
+  "idolater",
+  "idolatry",
+  "ignominy",
+  "illumine",
+  "illusive",
+  "imbibing",
+  "immanent",
+  "immodest",
+  "immolate",
+  "immuring",
+  "impanels",
+  "impetigo",
+  "impishly",
+  "imploded",
+  "implodes",
+  "importer",
+  "impugned",
+  "impurely",
+  "imputing",
+  "inboards",
+  "inchoate",
+  "incising",
+  "indigent",
+  "inductee",
+  "inequity",
+  "inexpert",
+  "infernal",
+  "inflects",
+  "ingrates",
+  "inhalant",
+  "inhering",
+  "inimical",
+  "iniquity",
+  "injector",
+  "inkblots",
+  "inkiness",
+  "inkwells",
+  "innately",
+  "innovate",
+  "inquirer",
+  "insureds",
+  "intaglio",
+  "intently",
+  "internee",
+  "intoning",
+  "intranet",
+  "intuited",
+  "invasive",
+  "inveighs",
+  "inveigle",
+  "iodizing",
+  "ionizers",
+  "ionizing",
+  "ironclad",
+  "ironical",
+  "ironware",
+  "ironwork",
+  "isotopes",
+  "isotopic",
+  "issuance",
+  "iterated",
+  "iterates",
+  "iterator",
+  "jabberer",
+  "jackboot",
+  "jackdaws",
+  "jaggedly",
+  "jalousie",
+  "japanned",
+  "jasmines",
+  "jazziest",
+  "jeremiad",
+  "jiggered",
+  "jihadist",
+  "jimmying",
+  "jingoism",
+  "jingoist",
+  "jocosely",
+  "jocosity",
+  "jocundly",
+  "jodhpurs",
+  "joggling",
+  "jokingly",
+  "jonquils",
+  "jottings",
+  "jouncing",
+  "jousting",
+  "joyrider",
+  "joyrides",
+  "julienne",
+  "jumpsuit",
+  "junkiest",
+  "junkyard",
+  "justness",
+  "kamikaze",
+  "karaokes",
+  "katydids",
+  "keenness",
+  "kestrels",
+  "keypunch",
+  "kibitzed",
+  "kibitzer",
+  "kibitzes",
+  "kickiest",
+  "kielbasa",
+  "killdeer",
+  "killjoys",
+  "kilotons",
+  "kinfolks",
+  "kinglier",
+  "kingpins",
+  "kingship",
+  "kippered",
+  "klutzier",
+  "kneaders",
+  "knelling",
+  "knightly",
+  "knitters",
+  "knitwear",
+  "knobbier",
+  "knothole",
+  "knowable",
+  "kohlrabi",
+  "kookiest",
+  "kumquats",
+  "laburnum",
+  "lactated",
+  "lactates",
+  "ladybird",
+  "ladyship",
+  "lamasery",
+  "lambaste",
+  "lambkins",
+  "lambskin",
+  "lameness",
+  "laminate",
+  "lamppost",
+  "lampreys",
+  "landfall",
+  "landfill",
+  "landline",
+  "landmass",
+  "landward",
+  "lanyards",
+  "lapidary",
+  "lapwings",
+  "larboard",
+  "larkspur",
+  "lasagnas",
+  "lassoing",
+  "lateness",
+  "latterly",
+  "latticed",
+  "laudably",
+  "laudanum",
+  "lavishly",
+  "lawfully",
+  "lawgiver",
+  "layettes",
+  "layovers",
+  "laywoman",
+  "laywomen",
+  "leaching",
+  "leafless",
+  "leakiest",
+  "leanings",
+  "leanness",
+  "learners",
+  "leathers",
+  "leavened",
+  "leavings",
+  "lecithin",
+  "leewards",
+  "leftists",
+  "leftover",
+  "legalese",
+  "legalism",
+  "legatees",
+  "legation",
+  "leggiest",
+  "legrooms",
+  "lemmings",
+  "lethally",
+  "levelers",
+  "levitate",
+  "lewdness",
+  "liaising",
+  "libation",
+  "libelers",
+  "licensee",
+  "lickings",
+  "lifework",
+  "liftoffs",
+  "limbless",
+  "limeades",
+  "limpidly",
+  "limpness",
+  "lineally",
+  "linesman",
+  "linesmen",
+  "lingerer",
+  "linkages",
+  "lionized",
+  "lionizes",
+  "lipreads",
+  "literati",
+  "litigant",
+  "litigate",
+  "littoral",
+  "livelong",
+  "liveried",
+  "liveries",
+  "loamiest",
+  "loanword",
+  "locavore",
+  "lockable",
+  "lockouts",
+  "lockstep",
+  "locoweed",
+  "locution",
+  "lodestar",
+  "logbooks",
+  "logistic",
+  "logotype",
+  "lollygag",
+  "longboat",
+  "longhair",
+  "longhorn",
+  "longtime",
+  "loopiest",
+  "lordlier",
+  "lordship",
+  "louvered",
+  "lovebird",
+  "loveless",
+  "lovelorn",
+  "lovesick",
+  "lowbrows",
+  "lowlands",
+  "loyalist",
+  "lucidity",
+  "luckless",
+  "lummoxes",
+  "lunchbox",
+  "lushness",
+  "lymphoma",
+  "lyricist",
+  "macaroon",
+  "macerate",
+  "machismo",
+  "mackinaw",
+  "madrasah",
+  "madrasas",
+  "madrases",
+  "madrassa",
+  "madrigal",
+  "madwoman",
+  "madwomen",
+  "maestros",
+  "magnesia",
+  "magnetos",
+  "maharani",
+  "mahatmas",
+  "maidenly",
+  "mailings",
+  "mainmast",
+  "mainsail",
+  "malarial",
+  "malarkey",
+  "maleness",
+  "malinger",
+  "mamboing",
+  "manatees",
+  "mandarin",
+  "mandrake",
+  "mandrill",
+  "manfully",
+  "manhunts",
+  "manikins",
+  "mannered",
+  "mannerly",
+  "manorial",
+  "mansards",
+  "mantilla",
+  "mantises",
+  "mantissa",
+  "manumits",
+  "marabous",
+  "marauded",
+  "marauder",
+  "marchers",
+  "mariachi",
+  "marimbas",
+  "marinade",
+  "marjoram",
+  "markdown",
+  "marketer",
+  "marmoset",
+  "marquess",
+  "marquise",
+  "marrieds",
+  "martinet",
+  "martinis",
+  "marzipan",
+  "masseurs",
+  "masseuse",
+  "masthead",
+  "mastiffs",
+  "mastodon",
+  "mastoids",
+  "matchbox",
+  "mattocks",
+  "maturely",
+  "maunders",
+  "maxillae",
+  "mayflies",
+  "maypoles",
+  "mazurkas",
+  "meagerly",
+  "mealtime",
+  "meanness",
+  "meatball",
+  "meatiest",
+  "meatloaf",
+  "medalist",
+  "medullas",
+  "megalith",
+  "melanges",
+  "melanoma",
+  "meltdown",
+  "menhaden",
+  "menially",
+  "menorahs",
+  "menswear",
+  "mercuric",
+  "mesquite",
+  "messiahs",
+  "mestizos",
+  "methanol",
+  "methinks",
+  "metrical",
+  "middling",
+  "midlands",
+  "midpoint",
+  "midterms",
+  "midweeks",
+  "midyears",
+  "mightily",
+  "mildness",
+  "milepost",
+  "milkmaid",
+  "milksops",
+  "milkweed",
+  "millrace",
+  "minarets",
+  "minatory",
+  "minibike",
+  "minicams",
+  "minivans",
+  "mintiest",
+  "minuends",
+  "minutely",
+  "minutiae",
+  "mirthful",
+  "misapply",
+  "miscalls",
+  "miscasts",
+  "miscount",
+  "miscuing",
+  "misdeals",
+  "misdealt",
+  "misdoing",
+  "misfired",
+  "misfires",
+  "mishmash",
+  "misogyny",
+  "misplays",
+  "misruled",
+  "misrules",
+  "misspend",
+  "misspent",
+  "misstate",
+  "missteps",
+  "mistimed",
+  "mistimes",
+  "mistreat",
+  "mistrial",
+  "mistypes",
+  "mitering",
+  "mobsters",
+  "modishly",
+  "moieties",
+  "moldered",
+  "molehill",
+  "moleskin",
+  "molester",
+  "monaural",
+  "monetize",
+  "moneybag",
+  "mongered",
+  "monikers",
+  "monocles",
+  "monolith",
+  "monotone",
+  "monoxide",
+  "monsieur",
+  "montages",
+  "moochers",
+  "mooching",
+  "moonshot",
+  "moorland",
+  "moraines",
+  "moralize",
+  "morbidly",
+  "mordants",
+  "moribund",
+  "morosely",
+  "morpheme",
+  "mortised",
+  "mortises",
+  "moseying",
+  "motility",
+  "motorcar",
+  "motorman",
+  "motormen",
+  "mottling",
+  "movingly",
+  "mucilage",
+  "muckiest",
+  "muckrake",
+  "mudguard",
+  "mudslide",
+  "muezzins",
+  "muggings",
+  "mulberry",
+  "muleteer",
+  "mulishly",
+  "mullions",
+  "mumblers",
+  "munchies",
+  "munition",
+  "muralist",
+  "muscatel",
+  "musicale",
+  "musketry",
+  "muskiest",
+  "muskrats",
+  "mussiest",
+  "muteness",
+  "mutineer",
+  "mystique",
+  "nappiest",
+  "narcosis",
+  "narwhals",
+  "nasalize",
+  "nautilus",
+  "naysayer",
+  "nearness",
+  "necrosis",
+  "nematode",
+  "neonatal",
+  "neonates",
+  "neoprene",
+  "nerdiest",
+  "nerviest",
+  "netbooks",
+  "neuritis",
+  "neutrino",
+  "newlywed",
+  "newsboys",
+  "newsreel",
+  "nibblers",
+  "niceness",
+  "niggards",
+  "niggling",
+  "nightcap",
+  "nighties",
+  "nihilism",
+  "nihilist",
+  "ninepins",
+  "nitpicks",
+  "nocturne",
+  "nondairy",
+  "nonempty",
+  "nonesuch",
+  "nonevent",
+  "nonfatal",
+  "nonhuman",
+  "nonrigid",
+  "nonstick",
+  "nontoxic",
+  "nonunion",
+  "nonusers",
+  "nonwhite",
+  "noontime",
+  "normalcy",
+  "nosedive",
+  "nosegays",
+  "nosiness",
+  "nostrums",
+  "notaries",
+  "notarize",
+  "novellas",
+  "numeracy",
+  "numskull",
+  "nuthatch",
+  "nutmeats",
+  "oarlocks",
+  "obduracy",
+  "obdurate",
+  "obeisant",
+  "oblation",
+  "obsidian",
+  "obtruded",
+  "obtrudes",
+  "obtusely",
+  "obverses",
+  "obviated",
+  "obviates",
+  "ocarinas",
+  "occluded",
+  "occludes",
+  "oculists",
+  "oddballs",
+  "odiously",
+  "odorless",
+  "odysseys",
+  "offloads",
+  "oilcloth",
+  "oilfield",
+  "oiliness",
+  "oleander",
+  "oligarch",
+  "omnivore",
+  "oncology",
+  "opaquely",
+  "openwork",
+  "operable",
+  "operetta",
+  "opulence",
+  "oracular",
+  "oratorio",
+  "ordinals",
+  "ordnance",
+  "orgasmic",
+  "orifices",
+  "ornerier",
+  "ossified",
+  "ossifies",
+  "ottomans",
+  "outbacks",
+  "outcrops",
+  "outflank",
+  "outfoxed",
+  "outfoxes",
+  "outplays",
+  "outranks",
+  "outreach",
+  "outrider",
+  "outsells",
+  "outsizes",
+  "outstays",
+  "outtakes",
+  "outvoted",
+  "outvotes",
+  "outwears",
+  "overacts",
+  "overages",
+  "overawed",
+  "overawes",
+  "overbite",
+  "overbook",
+  "overcook",
+  "overfull",
+  "overjoys",
+  "overlord",
+  "overmuch",
+  "overpaid",
+  "overpays",
+  "overplay",
+  "overripe",
+  "oversell",
+  "overshoe",
+  "oversize",
+  "oversold",
+  "overstay",
+  "oviducts",
+  "ovulated",
+  "ovulates",
+  "oxidizer",
+  "oxymoron",
+  "paganism",
+  "paginate",
+  "pailfuls",
+  "painters",
+  "pairwise",
+  "paisleys",
+  "palatals",
+  "palavers",
+  "paleface",
+  "paleness",
+  "palimony",
+  "palisade",
+  "palliate",
+  "palmetto",
+  "palmiest",
+  "palmists",
+  "palpated",
+  "palpates",
+  "palsying",
+  "pandemic",
+  "panderer",
+  "panelist",
+  "panniers",
+  "pantheon",
+  "pantsuit",
+  "paperboy",
+  "papillae",
+  "papooses",
+  "parabola",
+  "parallax",
+  "paramour",
+  "parapets",
+  "parboils",
+  "parfaits",
+  "parlance",
+  "parlayed",
+  "parleyed",
+  "parolees",
+  "paroxysm",
+  "parquets",
+  "parrying",
+  "partaker",
+  "parterre",
+  "parvenus",
+  "passably",
+  "passerby",
+  "passkeys",
+  "pasterns",
+  "pastrami",
+  "patchier",
+  "patellae",
+  "patellas",
+  "pathogen",
+  "pawnshop",
+  "paycheck",
+  "payloads",
+  "paywalls",
+  "peafowls",
+  "pearlier",
+  "pectoral",
+  "pederast",
+  "pedicure",
+  "pediment",
+  "peekaboo",
+  "peelings",
+  "peephole",
+  "peerages",
+  "pellagra",
+  "pellucid",
+  "pendents",
+  "penlight",
+  "penology",
+  "peppiest",
+  "percales",
+  "perforce",
+  "perigees",
+  "periwigs",
+  "perjurer",
+  "permuted",
+  "permutes",
+  "personae",
+  "pertness",
+  "pestling",
+  "petioles",
+  "pettifog",
+  "phantasm",
+  "pharaohs",
+  "philters",
+  "phishers",
+  "phishing",
+  "phonemes",
+  "phonemic",
+  "phoneyed",
+  "picayune",
+  "pickerel",
+  "pickings",
+  "piebalds",
+  "piggiest",
+  "pigskins",
+  "pigsties",
+  "pilaster",
+  "pilchard",
+  "pilferer",
+  "pillions",
+  "pimentos",
+  "pimiento",
+  "pinafore",
+  "pinheads",
+  "pinholes",
+  "pinochle",
+  "pinprick",
+  "pinwheel",
+  "piquancy",
+  "pitchman",
+  "pitchmen",
+  "pitiable",
+  "pitiably",
+  "pizzeria",
+  "placebos",
+  "plackets",
+  "plaiting",
+  "plangent",
+  "plateful",
+  "platelet",
+  "platonic",
+  "platypus",
+  "plaudits",
+  "playacts",
+  "playbill",
+  "playboys",
+  "playgoer",
+  "playlist",
+  "playoffs",
+  "playroom",
+  "pleaders",
+  "plebeian",
+  "plectrum",
+  "pleurisy",
+  "plexuses",
+  "plodders",
+  "pluckier",
+  "plunking",
+  "plushier",
+  "podcasts",
+  "podiatry",
+  "pointier",
+  "poisoner",
+  "polecats",
+  "polestar",
+  "polisher",
+  "politico",
+  "polities",
+  "polliwog",
+  "polluter",
+  "polonium",
+  "poltroon",
+  "polyglot",
+  "polymath",
+  "polymers",
+  "pomading",
+  "pommeled",
+  "poniards",
+  "pontiffs",
+  "ponytail",
+  "pooching",
+  "popinjay",
+  "popovers",
+  "populism",
+  "populist",
+  "porosity",
+  "porphyry",
+  "portaged",
+  "portages",
+  "positing",
+  "positron",
+  "postdate",
+  "postlude",
+  "postpaid",
+  "potables",
+  "potbelly",
+  "pothooks",
+  "potlucks",
+  "potsherd",
+  "potshots",
+  "pottiest",
+  "poultice",
+  "pralines",
+  "prancers",
+  "pratfall",
+  "precepts",
+  "precises",
+  "predated",
+  "predates",
+  "preexist",
+  "prefects",
+  "preheats",
+  "prejudge",
+  "prelates",
+  "preppier",
+  "preppies",
+  "prepping",
+  "prequels",
+  "presaged",
+  "presages",
+  "pressman",
+  "pressmen",
+  "preteens",
+  "preterit",
+  "prettify",
+  "prettily",
+  "priciest",
+  "priestly",
+  "priggish",
+  "primness",
+  "princely",
+  "prioress",
+  "priories",
+  "prissier",
+  "pristine",
+  "probated",
+  "probates",
+  "proctors",
+  "procurer",
+  "proforma",
+  "promoter",
+  "proposer",
+  "propound",
+  "prorated",
+  "prorates",
+  "prosiest",
+  "prostate",
+  "protozoa",
+  "provosts",
+  "prurient",
+  "psalmist",
+  "ptomaine",
+  "publican",
+  "puffball",
+  "pugilism",
+  "pugilist",
+  "pullback",
+  "pullouts",
+  "pulpiest",
+  "punchier",
+  "pungency",
+  "punsters",
+  "puppetry",
+  "purblind",
+  "purebred",
+  "pureness",
+  "purifier",
+  "puritans",
+  "purloins",
+  "purplish",
+  "pursuant",
+  "pursuers",
+  "purulent",
+  "purveyed",
+  "pushcart",
+  "pussycat",
+  "pustules",
+  "putsches",
+  "puzzlers",
+  "pyorrhea",
+  "quackery",
+  "quaffing",
+  "quaintly",
+  "quatrain",
+  "queasily",
+  "quibbler",
+  "quickies",
+  "quietude",
+  "quilters",
+  "quirkier",
+  "quisling",
+  "quixotic",
+  "quoiting",
+  "quotable",
+  "raceways",
+  "raciness",
+  "radially",
+  "raggedly",
+  "raillery",
+  "rakishly",
+  "ramified",
+  "ramifies",
+  "ramparts",
+  "randiest",
+  "rangiest",
+  "rankings",
+  "rankness",
+  "rapacity",
+  "rarefied",
+  "rarefies",
+  "rareness",
+  "rascally",
+  "rashness",
+  "raspiest",
+  "ratchets",
+  "rattiest",
+  "rattraps",
+  "raviolis",
+  "rawboned",
+  "readmits",
+  "readouts",
+  "reaffirm",
+  "reagents",
+  "rearming",
+  "rearmost",
+  "rearward",
+  "reassert",
+  "reassess",
+  "reassign",
+  "reawaken",
+  "receptor",
+  "rechecks",
+  "recliner",
+  "recopied",
+  "recopies",
+  "recreant",
+  "redcoats",
+  "redeemer",
+  "redeploy",
+  "rednecks",
+  "redolent",
+  "redouble",
+  "redoubts",
+  "redounds",
+  "redrafts",
+  "redskins",
+  "redwoods",
+  "reediest",
+  "reemerge",
+  "reenacts",
+  "reenlist",
+  "reenters",
+  "referent",
+  "referral",
+  "refiling",
+  "refiners",
+  "refinish",
+  "refitted",
+  "reforest",
+  "refracts",
+  "regicide",
+  "regroups",
+  "rehabbed",
+  "reheated",
+  "rehiring",
+  "reimpose",
+  "reinsert",
+  "reinvent",
+  "reinvest",
+  "reissued",
+  "reissues",
+  "rekindle",
+  "relabels",
+  "relaxant",
+  "relearns",
+  "remanded",
+  "remounts",
+  "removers",
+  "renumber",
+  "reoccupy",
+  "reoccurs",
+  "reorders",
+  "reorging",
+  "repaints",
+  "repartee",
+  "repeater",
+  "replayed",
+  "reprises",
+  "reprized",
+  "reproofs",
+  "requiems",
+  "requital",
+  "requited",
+  "requites",
+  "resettle",
+  "resinous",
+  "resister",
+  "resonate",
+  "respells",
+  "respired",
+  "respires",
+  "restated",
+  "restates",
+  "restocks",
+  "restorer",
+  "restroom",
+  "resupply",
+  "retaking",
+  "rethinks",
+  "retinues",
+  "retirees",
+  "retooled",
+  "retrains",
+  "retreads",
+  "retrench",
+  "retrials",
+  "retrofit",
+  "retrying",
+  "returnee",
+  "retweets",
+  "retyping",
+  "reusable",
+  "revalued",
+  "revalues",
+  "reveille",
+  "reverend",
+  "revilers",
+  "revivify",
+  "rewiring",
+  "reworded",
+  "reworked",
+  "rheostat",
+  "rhizomes",
+  "rhomboid",
+  "ribaldry",
+  "riffling",
+  "riffraff",
+  "rifleman",
+  "riflemen",
+  "rightist",
+  "ringside",
+  "ringtone",
+  "riposted",
+  "ripostes",
+  "ritually",
+  "ritziest",
+  "riverbed",
+  "riveters",
+  "rivulets",
+  "roadbeds",
+  "roadkill",
+  "roadshow",
+  "roadster",
+  "roadways",
+  "roadwork",
+  "roasters",
+  "robocall",
+  "robotics",
+  "robustly",
+  "rocketry",
+  "roebucks",
+  "roentgen",
+  "rogering",
+  "roisters",
+  "rollback",
+  "rollicks",
+  "rooftops",
+  "roomfuls",
+  "rootless",
+  "rosebuds",
+  "rosebush",
+  "rosettes",
+  "rosewood",
+  "rosiness",
+  "rosining",
+  "roundish",
+  "roundups",
+  "rowdyism",
+  "roweling",
+  "royalist",
+  "rubbishy",
+  "rubdowns",
+  "rubicund",
+  "rudiment",
+  "ruefully",
+  "ruggedly",
+  "rumbaing",
+  "ruminant",
+  "rumpuses",
+  "runabout",
+  "rutabaga",
+  "sackfuls",
+  "sacredly",
+  "sacristy",
+  "safeness",
+  "sagacity",
+  "saguaros",
+  "sailfish",
+  "sailings",
+  "salaamed",
+  "salaried",
+  "salience",
+  "salinity",
+  "salivary",
+  "sallying",
+  "saltines",
+  "salutary",
+  "sambaing",
+  "samovars",
+  "samplers",
+  "sanctums",
+  "sandbank",
+  "sandbars",
+  "sandhogs",
+  "sandlots",
+  "sanguine",
+  "sanitize",
+  "sapience",
+  "sappiest",
+  "sarcomas",
+  "sardonic",
+  "sashayed",
+  "satanism",
+  "satiated",
+  "satiates",
+  "savannas",
+  "sawhorse",
+  "sawmills",
+  "scabbard",
+  "scabbier",
+  "scabrous",
+  "scalawag",
+  "scallion",
+  "scalpers",
+  "scammers",
+  "scamming",
+  "scansion",
+  "scantily",
+  "scapulae",
+  "scatting",
+  "scavenge",
+  "scherzos",
+  "schizoid",
+  "schmaltz",
+  "schmooze",
+  "schmucks",
+  "schnapps",
+  "schussed",
+  "schusses",
+  "sciatica",
+  "scimitar",
+  "scofflaw",
+  "scorcher",
+  "scotched",
+  "scraggly",
+  "scrapers",
+  "screechy",
+  "scrimped",
+  "scrofula",
+  "scrooges",
+  "scrubber",
+  "scrunchy",
+  "scubaing",
+  "scudding",
+  "scullery",
+  "sculling",
+  "scullion",
+  "sculpted",
+  "scumbags",
+  "scummier",
+  "scuppers",
+  "scurvier",
+  "scuzzier",
+  "seabirds",
+  "seaboard",
+  "seacoast",
+  "seafarer",
+  "seagoing",
+  "sealants",
+  "sealskin",
+  "seamiest",
+  "seamless",
+  "seaplane",
+  "searcher",
+  "seascape",
+  "seawards",
+  "sedately",
+  "sedation",
+  "sedition",
+  "seducers",
+  "sedulous",
+  "seedless",
+  "seemlier",
+  "segueing",
+  "selenium",
+  "selfless",
+  "selfsame",
+  "selloffs",
+  "sellouts",
+  "selvages",
+  "semitone",
+  "sentinel",
+  "sequined",
+  "sequitur",
+  "sequoias",
+  "seraglio",
+  "seraphic",
+  "serenely",
+  "serially",
+  "serrated",
+  "servings",
+  "sewerage",
+  "sexiness",
+  "sextants",
+  "shadings",
+  "shagging",
+  "shakeups",
+  "shallots",
+  "shambled",
+  "shanghai",
+  "shantung",
+  "sharpers",
+  "shavings",
+  "shearers",
+  "shebangs",
+  "sheepdog",
+  "sheeting",
+  "sheikdom",
+  "shellacs",
+  "shiftily",
+  "shiitake",
+  "shilling",
+  "shimmery",
+  "shimmied",
+  "shimmies",
+  "shimming",
+  "shinbone",
+  "shindigs",
+  "shinnied",
+  "shinnies",
+  "shipload",
+  "shipmate",
+  "shippers",
+  "shipyard",
+  "shirkers",
+  "shirring",
+  "shittier",
+  "shitting",
+  "shockers",
+  "shoddily",
+  "shoehorn",
+  "shooters",
+  "shootout",
+  "shoplift",
+  "shoptalk",
+  "shopworn",
+  "shortcut",
+  "shortish",
+  "showboat",
+  "showgirl",
+  "showoffs",
+  "showroom",
+  "shredder",
+  "shrewdly",
+  "shrewish",
+  "shriving",
+  "shuckses",
+  "shuffler",
+  "shushing",
+  "shutouts",
+  "shysters",
+  "sibilant",
+  "sickbeds",
+  "sidearms",
+  "sidebars",
+  "sidecars",
+  "sidekick",
+  "sidereal",
+  "sidewall",
+  "signally",
+  "signings",
+  "silencer",
+  "silicate",
+  "silicone",
+  "silkiest",
+  "silkworm",
+  "simpered",
+  "sinecure",
+  "sinfully",
+  "singsong",
+  "sinkable",
+  "sinkhole",
+  "siroccos",
+  "sittings",
+  "skeletal",
+  "skinhead",
+  "skinless",
+  "skitters",
+  "skivvied",
+  "skivvies",
+  "skullcap",
+  "skydived",
+  "skydiver",
+  "skydives",
+  "skyjacks",
+  "skylarks",
+  "skywards",
+  "slackers",
+  "slalomed",
+  "slammers",
+  "slangier",
+  "slapdash",
+  "slathers",
+  "slattern",
+  "slavered",
+  "slayings",
+  "sleazily",
+  "sledging",
+  "sleepily",
+  "slickers",
+  "slimness",
+  "slinkier",
+  "slipknot",
+  "slippage",
+  "slithery",
+  "sloppily",
+  "sloughed",
+  "slowdown",
+  "slowpoke",
+  "sluggard",
+  "sluggers",
+  "slumdogs",
+  "slumlord",
+  "slurping",
+  "slushier",
+  "sluttish",
+  "smackers",
+  "smarmier",
+  "smartens",
+  "smelters",
+  "smirched",
+  "smirches",
+  "smithies",
+  "smoggier",
+  "smooched",
+  "smooches",
+  "smoothie",
+  "smudgier",
+  "smugness",
+  "smuttier",
+  "snaffled",
+  "snaffles",
+  "snakiest",
+  "snappers",
+  "snappish",
+  "snarkier",
+  "snazzier",
+  "snifters",
+  "snippier",
+  "sniveled",
+  "snobbier",
+  "snoopers",
+  "snoopier",
+  "snottier",
+  "snowdrop",
+  "snowshed",
+  "snowshoe",
+  "snowsuit",
+  "snuffbox",
+  "snuffers",
+  "snuffled",
+  "snuffles",
+  "soakings",
+  "soapsuds",
+  "sociably",
+  "societal",
+  "sodomite",
+  "softener",
+  "softwood",
+  "solarium",
+  "solecism",
+  "solenoid",
+  "solstice",
+  "solvable",
+  "solvency",
+  "somberly",
+  "sombrero",
+  "songbird",
+  "songster",
+  "sonority",
+  "sophists",
+  "soppiest",
+  "sordidly",
+  "sorehead",
+  "soreness",
+  "soughing",
+  "soulless",
+  "soulmate",
+  "soupiest",
+  "sourness",
+  "sourpuss",
+  "soybeans",
+  "spaceman",
+  "spacemen",
+  "spaciest",
+  "spadeful",
+  "spammers",
+  "spamming",
+  "sparsity",
+  "spastics",
+  "speckled",
+  "speckles",
+  "spectral",
+  "speeders",
+  "speedily",
+  "speedups",
+  "speedway",
+  "spellers",
+  "spenders",
+  "spheroid",
+  "spieling",
+  "spiffier",
+  "spikiest",
+  "spillage",
+  "spillway",
+  "spindled",
+  "spindles",
+  "spiniest",
+  "spinners",
+  "spirally",
+  "spitball",
+  "spitfire",
+  "spittoon",
+  "splatted",
+  "splaying",
+  "splicers",
+  "splotchy",
+  "splutter",
+  "spoilage",
+  "spoilers",
+  "spongers",
+  "spooring",
+  "sportier",
+  "sportive",
+  "spotters",
+  "sprayers",
+  "spreader",
+  "spritzed",
+  "spritzes",
+  "sprocket",
+  "spryness",
+  "spunkier",
+  "spyglass",
+  "squealer",
+  "squeegee",
+  "squeezer",
+  "squiggle",
+  "squiggly",
+  "squished",
+  "squishes",
+  "sriracha",
+  "staccato",
+  "staffers",
+  "stagings",
+  "stakeout",
+  "stalkers",
+  "standout",
+  "starless",
+  "starlets",
+  "starling",
+  "startups",
+  "stashing",
+  "statuary",
+  "steamers",
+  "steelier",
+  "steerage",
+  "stepdads",
+  "stepmoms",
+  "stepsons",
+  "sternums",
+  "steroids",
+  "stickpin",
+  "stickups",
+  "stiletto",
+  "stingily",
+  "stingray",
+  "stinkers",
+  "stipends",
+  "stippled",
+  "stipples",
+  "stirrers",
+  "stoicism",
+  "stopcock",
+  "stormily",
+  "strafing",
+  "straggly",
+  "straiten",
+  "stretchy",
+  "striated",
+  "strident",
+  "stringed",
+  "stringer",
+  "strophes",
+  "stropped",
+  "strudels",
+  "strumpet",
+  "stuccoed",
+  "stuccoes",
+  "stuffily",
+  "stultify",
+  "stumbler",
+  "stumpier",
+  "sturdily",
+  "sturgeon",
+  "stylists",
+  "stylized",
+  "stylizes",
+  "styluses",
+  "styptics",
+  "subclass",
+  "subheads",
+  "subhuman",
+  "subjoins",
+  "sublease",
+  "submerse",
+  "suborned",
+  "subplots",
+  "subpoena",
+  "subprime",
+  "subsonic",
+  "subspace",
+  "subsumed",
+  "subsumes",
+  "subteens",
+  "subtitle",
+  "subtotal",
+  "suburbia",
+  "suchlike",
+  "sudsiest",
+  "suffused",
+  "suffuses",
+  "sukiyaki",
+  "sulfates",
+  "sulfides",
+  "sulfured",
+  "sulfuric",
+  "sullenly",
+  "sullying",
+  "sultanas",
+  "summitry",
+  "summoner",
+  "sunbeams",
+  "sunblock",
+  "sundered",
+  "sunlamps",
+  "sunroofs",
+  "sunspots",
+  "superego",
+  "superman",
+  "supermen",
+  "surcease",
+  "surefire",
+  "sureness",
+  "sureties",
+  "surfeits",
+  "surplice",
+  "surtaxed",
+  "surtaxes",
+  "suturing",
+  "sveltest",
+  "swaddled",
+  "swaddles",
+  "swagging",
+  "swankest",
+  "swankier",
+  "swanking",
+  "swashing",
+  "swastika",
+  "swatches",
+  "swatters",
+  "swearers",
+  "sweatier",
+  "sweeties",
+  "sweetish",
+  "swelters",
+  "swimmers",
+  "swimsuit",
+  "swingers",
+  "sybarite",
+  "sycamore",
+  "syllabic",
+  "systemic",
+  "systolic",
+  "tableaux",
+  "tacklers",
+  "tailcoat",
+  "tailless",
+  "tailpipe",
+  "tailwind",
+  "takeouts",
+  "tallness",
+  "tallyhos",
+  "tamarind",
+  "tanagers",
+  "tangelos",
+  "tangibly",
+  "tangiest",
+  "tankfuls",
+  "tapeworm",
+  "taprooms",
+  "taproots",
+  "tarragon",
+  "tartness",
+  "tasering",
+  "tattered",
+  "tattlers",
+  "tautness",
+  "taxonomy",
+  "tealight",
+  "teariest",
+  "tearooms",
+  "teeniest",
+  "telecast",
+  "telethon",
+  "telexing",
+  "temblors",
+  "temerity",
+  "temperas",
+  "tempters",
+  "tenoning",
+  "tequilas",
+  "terabits",
+  "terabyte",
+  "terrapin",
+  "tertiary",
+  "testates",
+  "testiest",
+  "textural",
+  "thalamus",
+  "thallium",
+  "theistic",
+  "thematic",
+  "thespian",
+  "thiamine",
+  "thickset",
+  "thievery",
+  "thieving",
+  "thievish",
+  "thinners",
+  "thinness",
+  "thoracic",
+  "thoraxes",
+  "thralled",
+  "thrasher",
+  "threnody",
+  "throwers",
+  "thrummed",
+  "thrushes",
+  "thruways",
+  "thwacked",
+  "thymuses",
+  "tidiness",
+  "tillable",
+  "timeline",
+  "timeworn",
+  "timorous",
+  "tincture",
+  "tinsmith",
+  "tipplers",
+  "tippling",
+  "tipsters",
+  "titanium",
+  "titmouse",
+  "toadying",
+  "toastier",
+  "toeholds",
+  "toggling",
+  "toiletry",
+  "toilette",
+  "toilsome",
+  "tokenism",
+  "tollgate",
+  "tonality",
+  "toneless",
+  "tonsured",
+  "tonsures",
+  "toolbars",
+  "toothier",
+  "topcoats",
+  "topknots",
+  "topmasts",
+  "toppings",
+  "topsails",
+  "topsides",
+  "toreador",
+  "torquing",
+  "torturer",
+  "tourneys",
+  "towheads",
+  "township",
+  "townsman",
+  "townsmen",
+  "towpaths",
+  "toxicity",
+  "tracheae",
+  "tracings",
+  "trackers",
+  "traduced",
+  "traduces",
+  "traipsed",
+  "traipses",
+  "trammels",
+  "tramming",
+  "transept",
+  "transfix",
+  "transoms",
+  "travails",
+  "treadled",
+  "treadles",
+  "treeless",
+  "treetops",
+  "trefoils",
+  "tremolos",
+  "tribunes",
+  "tricolor",
+  "tridents",
+  "trifecta",
+  "triflers",
+  "trimaran",
+  "trimmers",
+  "trimness",
+  "triptych",
+  "trisects",
+  "trochees",
+  "trollops",
+  "tromping",
+  "tropisms",
+  "trotters",
+  "troupers",
+  "truckers",
+  "truckled",
+  "truckles",
+  "trumpery",
+  "trundled",
+  "trundles",
+  "trussing",
+  "truthers",
+  "trysting",
+  "tsunamis",
+  "tubbiest",
+  "tubeless",
+  "tubercle",
+  "tuberous",
+  "tuckered",
+  "tugboats",
+  "tumbrels",
+  "tuneless",
+  "tungsten",
+  "turbojet",
+  "turgidly",
+  "turmeric",
+  "turncoat",
+  "turnkeys",
+  "turnoffs",
+  "tussocks",
+  "tutelage",
+  "twaddled",
+  "twaddles",
+  "tweedier",
+  "tweeters",
+  "twerking",
+  "twiggier",
+  "twirlers",
+  "twitting",
+  "twosomes",
+  "tympanum",
+  "typecast",
+  "ubiquity",
+  "ukuleles",
+  "ulcerate",
+  "ulcerous",
+  "ululated",
+  "ululates",
+  "umbilici",
+  "unabated",
+  "unafraid",
+  "unbarred",
+  "unbeaten",
+  "unbelief",
+  "unbidden",
+  "unbolted",
+  "unbosoms",
+  "unbuckle",
+  "unbutton",
+  "uncalled",
+  "uncaring",
+  "unclasps",
+  "unclothe",
+  "uncoiled",
+  "uncooked",
+  "uncorked",
+  "uncouple",
+  "unctions",
+  "unctuous",
+  "underact",
+  "underage",
+  "underarm",
+  "underbid",
+  "underfed",
+  "underpay",
+  "underpin",
+  "undersea",
+  "undulant",
+  "undulate",
+  "unearned",
+  "unedited",
+  "unending",
+  "unfetter",
+  "unformed",
+  "unfriend",
+  "unfrocks",
+  "unguents",
+  "ungulate",
+  "unhanded",
+  "unharmed",
+  "unheeded",
+  "unhinged",
+  "unhinges",
+  "unholier",
+  "unhorsed",
+  "unhorses",
+  "unlacing",
+  "unleaded",
+  "unlearns",
+  "unlisted",
+  "unloosed",
+  "unlooses",
+  "unmaking",
+  "unmissed",
+  "unneeded",
+  "unopened",
+  "unpinned",
+  "unproved",
+  "unquoted",
+  "unquotes",
+  "unripest",
+  "unrolled",
+  "unsaddle",
+  "unsalted",
+  "unsealed",
+  "unseeing",
+  "unshaven",
+  "unsnarls",
+  "unspoken",
+  "unstated",
+  "unsteady",
+  "unstrung",
+  "unsubtle",
+  "untapped",
+  "untaught",
+  "untested",
+  "untimely",
+  "untitled",
+  "untoward",
+  "untruths",
+  "untwists",
+  "unvoiced",
+  "unwarier",
+  "unwisely",
+  "unwonted",
+  "unzipped",
+  "upbraids",
+  "upchucks",
+  "upcoming",
+  "updrafts",
+  "upmarket",
+  "uppercut",
+  "upraised",
+  "upraises",
+  "upstaged",
+  "upstages",
+  "upsurged",
+  "upsurges",
+  "upswings",
+  "urbanity",
+  "urbanize",
+  "urethrae",
+  "username",
+  "usurious",
+  "usurpers",
+  "vacantly",
+  "vagrancy",
+  "valances",
+  "valences",
+  "valorous",
+  "vamoosed",
+  "vamooses",
+  "vanadium",
+  "vantages",
+  "vapidity",
+  "vaporous",
+  "variably",
+  "varicose",
+  "varmints",
+  "vascular",
+  "vaulters",
+  "vaunting",
+  "vectored",
+  "vegetate",
+  "venality",
+  "vendetta",
+  "venereal",
+  "verbenas",
+  "verities",
+  "vermouth",
+  "vertexes",
+  "vesicles",
+  "vestries",
+  "vibrancy",
+  "vibrator",
+  "vibratos",
+  "viburnum",
+  "vicarage",
+  "viceroys",
+  "victuals",
+  "viewings",
+  "vignette",
+  "vileness",
+  "villeins",
+  "vinegary",
+  "vintners",
+  "violable",
+  "violator",
+  "violists",
+  "viragoes",
+  "virginal",
+  "virgules",
+  "virology",
+  "visceral",
+  "viscount",
+  "vitalize",
+  "vitiated",
+  "vitiates",
+  "vitreous",
+  "vivified",
+  "vivifies",
+  "vixenish",
+  "vocalize",
+  "vocative",
+  "voracity",
+  "votaries",
+  "vulgarly",
+  "vuvuzela",
+  "wackiest",
+  "waggling",
+  "wagoners",
+  "wainscot",
+  "walkways",
+  "walleyed",
+  "walleyes",
+  "wangling",
+  "wannabes",
+  "wantonly",
+  "warblers",
+  "wardroom",
+  "warhorse",
+  "wariness",
+  "warlocks",
+  "warlords",
+  "warships",
+  "warthogs",
+  "wartiest",
+  "washbowl",
+  "washtubs",
+  "wassails",
+  "wastrels",
+  "watchers",
+  "waterbed",
+  "wattling",
+  "wavelets",
+  "waviness",
+  "waxiness",
+  "waxwings",
+  "waxworks",
+  "wayfarer",
+  "weakfish",
+  "wearable",
+  "webcasts",
+  "webinars",
+  "webisode",
+  "websites",
+  "weepiest",
+  "weepings",
+  "welshing",
+  "wetbacks",
+  "wetlands",
+  "whammies",
+  "whamming",
+  "wheezier",
+  "whelping",
+  "whimsies",
+  "whiniest",
+  "whipcord",
+  "whiplash",
+  "whippets",
+  "whistler",
+  "whitecap",
+  "whitener",
+  "whitings",
+  "whittler",
+  "whodunit",
+  "whomever",
+  "whoopees",
+  "whooshed",
+  "whooshes",
+  "whopping",
+  "wideness",
+  "wigglers",
+  "wigglier",
+  "wildfowl",
+  "wiliness",
+  "wimpiest",
+  "wimpling",
+  "windbags",
+  "windburn",
+  "windlass",
+  "windowed",
+  "windsock",
+  "windsurf",
+  "windward",
+  "wineries",
+  "wingless",
+  "wingnuts",
+  "wingspan",
+  "wingtips",
+  "winnowed",
+  "wireless",
+  "wiretaps",
+  "wiriness",
+  "wiseacre",
+  "wisteria",
+  "witchery",
+  "wizardry",
+  "woefully",
+  "womanish",
+  "womanize",
+  "woodbine",
+  "woodcock",
+  "woodcuts",
+  "woodenly",
+  "woodpile",
+  "woodshed",
+  "woodsier",
+  "woodworm",
+  "wooziest",
+  "wordplay",
+  "workaday",
+  "workdays",
+  "workfare",
+  "workflow",
+  "workweek",
+  "wormiest",
+  "wormwood",
+  "worriers",
+  "worthily",
+  "wrathful",
+  "wreckers",
+  "wriggler",
+  "wrongful",
+  "yammered",
+  "yardages",
+  "yardarms",
+  "yarmulke",
+  "yearbook",
+  "yeastier",
+  "yeshivas",
+  "yodelers",
+  "youngish",
+  "yuckiest",
+  "yuletide",
+  "yummiest",
+  "zaniness",
+  "zeppelin",
+  "zippiest",
+  "zodiacal",
+  "zwieback"
+];
+
+/**
+ * Every accepted 8-letter word (answers + valid guesses), sorted
+ */
+export const SOLUTIONS_LIST = [...ANSWERS_LIST, ...VALID_GUESSES_LIST].sort();
@@ -0,0 +1,8997 @@
+// src/data/wordsByLength/words9.js
+//
+// 9-LETTER WORD LIST (generated by scripts/buildWordLists.js - do not edit by hand)
+//
+// Split into two lists, like solutions.js:
+// - ANSWERS_LIST: common words (SCOWL sizes 10-35), the likely answers in Wordle clones
+// - VALID_GUESSES_LIST: less common words accepted as guesses (SCOWL sizes up to 50)
+//
+// Word lists derived from SCOWL (http://wordlist.aspell.net/):
+//   Copyright 2000-2016 by Kevin Atkinson
+//   Permission to use, copy, modify, distribute and sell these word
+//   lists, the associated scripts, the output created from the scripts,
+//   and its documentation for any purpose is hereby granted without fee,
+//   provided that the above copyright notice appears in all copies and
+//   that both that copyright notice and this permission notice appear in
+//   supporting documentation. Kevin Atkinson makes no representations
+//   about the suitability of this array for any purpose. It is provided
+//   "as is" without express or implied warranty.
+
+/**
+ * Common 9-letter words (likely answers)
+ * Total: 5392 words
+ */
+export const ANSWERS_LIST = [
+  "abandoned",
+  "abdicated",
+  "abdicates",
+  "abdominal",
+  "abducting",
+  "abhorrent",
+  "abhorring",
+  "abilities",
+  "abolished",
+  "abolishes",
+  "abolition",
+  "aborigine",
+  "abortions",
+  "abounding",
+  "abrasives",
+  "abridging",
+  "abruptest",
+  "abscessed",
+  "abscesses",
+  "absconded",
+  "absentees",
+  "absenting",
+  "absolutes",
+  "absolving",
+  "absorbent",
+  "absorbing",
+  "abstained",
+  "abstracts",
+  "absurdest",
+  "absurdity",
+  "abundance",
+  "academics",
+  "academies",
+  "accenting",
+  "accepting",
+  "accessing",
+  "accessory",
+  "accidents",
+  "acclaimed",
+  "acclimate",
+  "accolades",
+  "accompany",
+  "according",
+  "accordion",
+  "accosting",
+  "accounted",
+  "accredits",
+  "accustoms",
+  "achieving",
+  "acoustics",
+  "acquaints",
+  "acquiesce",
+  "acquiring",
+  "acquittal",
+  "acquitted",
+  "acrobatic",
+  "activated",
+  "activates",
+  "activists",
+  "actresses",
+  "actuality",
+  "adaptable",
+  "addicting",
+  "addiction",
+  "addictive",
+  "additions",
+  "additives",
+  "addressed",
+  "addressee",
+  "addresses",
+  "adherence",
+  "adherents",
+  "adhesives",
+  "adjective",
+  "adjoining",
+  "adjourned",
+  "adjusting",
+  "admirable",
+  "admirably",
+  "admission",
+  "admitting",
+  "adoptions",
+  "adoration",
+  "adornment",
+  "adulation",
+  "adulthood",
+  "advancing",
+  "advantage",
+  "adventure",
+  "adverbial",
+  "adversary",
+  "adversely",
+  "adversest",
+  "adversity",
+  "advertise",
+  "advisable",
+  "advocated",
+  "advocates",
+  "aerospace",
+  "aesthetic",
+  "affecting",
+  "affection",
+  "affidavit",
+  "affiliate",
+  "affirming",
+  "afflicted",
+  "affluence",
+  "affording",
+  "affronted",
+  "aforesaid",
+  "afterlife",
+  "aftermath",
+  "afternoon",
+  "afterward",
+  "aggravate",
+  "aggregate",
+  "aggressor",
+  "agitating",
+  "agitation",
+  "agitators",
+  "agnostics",
+  "agonizing",
+  "agreeable",
+  "agreeably",
+  "agreement",
+  "aimlessly",
+  "airfields",
+  "airliners",
+  "airmailed",
+  "airplanes",
+  "airstrips",
+  "alarmists",
+  "alcoholic",
+  "algebraic",
+  "algorithm",
+  "alienated",
+  "alienates",
+  "alighting",
+  "alignment",
+  "allegedly",
+  "allergies",
+  "alleviate",
+  "alliances",
+  "alligator",
+  "allocated",
+  "allocates",
+  "allotment",
+  "allotting",
+  "allowable",
+  "allowance",
+  "allusions",
+  "alongside",
+  "alphabets",
+  "alterable",
+  "alternate",
+  "altitudes",
+  "amazement",
+  "amazingly",
+  "ambiances",
+  "ambiguity",
+  "ambiguous",
+  "ambitions",
+  "ambitious",
+  "ambulance",
+  "ambushing",
+  "amendment",
+  "amenities",
+  "amethysts",
+  "amnestied",
+  "amnesties",
+  "amorphous",
+  "amounting",
+  "ampersand",
+  "amphibian",
+  "amplified",
+  "amplifier",
+  "amplifies",
+  "amplitude",
+  "amputated",
+  "amputates",
+  "amusement",
+  "amusingly",
+  "analgesic",
+  "analogies",
+  "analogous",
+  "analyzing",
+  "anarchism",
+  "anarchist",
+  "anatomies",
+  "ancestors",
+  "ancestral",
+  "anchorage",
+  "anchoring",
+  "anchovies",
+  "ancienter",
+  "anecdotes",
+  "anguished",
+  "anguishes",
+  "animating",
+  "animation",
+  "animosity",
+  "annotated",
+  "annotates",
+  "announced",
+  "announcer",
+  "announces",
+  "annoyance",
+  "annuities",
+  "annulling",
+  "annulment",
+  "anointing",
+  "anomalies",
+  "anomalous",
+  "anonymity",
+  "anonymous",
+  "answering",
+  "anteaters",
+  "antelopes",
+  "anthology",
+  "antidotes",
+  "antipathy",
+  "antiquate",
+  "antiquing",
+  "antiquity",
+  "anxieties",
+  "anxiously",
+  "anybodies",
+  "anythings",
+  "apartheid",
+  "apartment",
+  "apathetic",
+  "apertures",
+  "aphorisms",
+  "apologies",
+  "apologize",
+  "appalling",
+  "apparatus",
+  "appareled",
+  "appealing",
+  "appearing",
+  "appeasing",
+  "appendage",
+  "appending",
+  "appetites",
+  "appetizer",
+  "applauded",
+  "appliance",
+  "applicant",
+  "appointed",
+  "appointee",
+  "appraisal",
+  "appraised",
+  "appraises",
+  "apprehend",
+  "approvals",
+  "approving",
+  "aptitudes",
+  "aquariums",
+  "aqueducts",
+  "arbitrary",
+  "arbitrate",
+  "architect",
+  "archiving",
+  "arduously",
+  "arguments",
+  "armadillo",
+  "armaments",
+  "armchairs",
+  "armistice",
+  "aromatics",
+  "arraigned",
+  "arranging",
+  "arresting",
+  "arrogance",
+  "arthritic",
+  "arthritis",
+  "artichoke",
+  "artifacts",
+  "artifices",
+  "artillery",
+  "ascending",
+  "ascension",
+  "ascertain",
+  "ascribing",
+  "asparagus",
+  "aspersion",
+  "asphalted",
+  "aspirants",
+  "assailant",
+  "assailing",
+  "assassins",
+  "assaulted",
+  "assaulter",
+  "assembled",
+  "assembler",
+  "assembles",
+  "assenting",
+  "asserting",
+  "assertion",
+  "assertive",
+  "assessing",
+  "assessors",
+  "assigning",
+  "assistant",
+  "assisting",
+  "associate",
+  "assorting",
+  "assurance",
+  "asterisks",
+  "asteroids",
+  "astounded",
+  "astrology",
+  "astronaut",
+  "astronomy",
+  "asymmetry",
+  "atheistic",
+  "athletics",
+  "atonement",
+  "atrocious",
+  "attaching",
+  "attacking",
+  "attaining",
+  "attempted",
+  "attendant",
+  "attending",
+  "attention",
+  "attentive",
+  "attesting",
+  "attitudes",
+  "attorneys",
+  "attracted",
+  "attribute",
+  "auctioned",
+  "audacious",
+  "audiences",
+  "auditions",
+  "augmented",
+  "augustest",
+  "austerest",
+  "austerity",
+  "authentic",
+  "authoring",
+  "authority",
+  "authorize",
+  "autocracy",
+  "autocrats",
+  "autograph",
+  "automated",
+  "automates",
+  "automatic",
+  "autopsied",
+  "autopsies",
+  "auxiliary",
+  "available",
+  "avalanche",
+  "averaging",
+  "aversions",
+  "avoidable",
+  "avoidance",
+  "awakening",
+  "awareness",
+  "awfullest",
+  "awkwarder",
+  "awkwardly",
+  "axiomatic",
+  "bachelors",
+  "backbones",
+  "backfired",
+  "backfires",
+  "backhands",
+  "backpacks",
+  "backslash",
+  "backspace",
+  "backstage",
+  "backtrack",
+  "backwards",
+  "backwoods",
+  "bacterial",
+  "bacterium",
+  "badgering",
+  "badminton",
+  "balancing",
+  "balconies",
+  "ballasted",
+  "ballerina",
+  "ballooned",
+  "balloting",
+  "ballrooms",
+  "bamboozle",
+  "bandaging",
+  "bandannas",
+  "bandstand",
+  "bandwagon",
+  "bandwidth",
+  "banishing",
+  "banisters",
+  "banknotes",
+  "bankrupts",
+  "banqueted",
+  "bantering",
+  "baptizing",
+  "barbarian",
+  "barbarous",
+  "barbecued",
+  "barbecues",
+  "barbering",
+  "bargained",
+  "bargainer",
+  "baritones",
+  "barnacles",
+  "barnyards",
+  "barometer",
+  "barraging",
+  "barreling",
+  "barrenest",
+  "barrettes",
+  "barricade",
+  "barrister",
+  "bartender",
+  "bartering",
+  "baseballs",
+  "basements",
+  "basically",
+  "bathrooms",
+  "battalion",
+  "batteries",
+  "battering",
+  "bayoneted",
+  "beautiful",
+  "beavering",
+  "beckoning",
+  "bedridden",
+  "bedspread",
+  "befalling",
+  "befitting",
+  "befriends",
+  "beggaring",
+  "beginners",
+  "beginning",
+  "begrudged",
+  "begrudges",
+  "beguiling",
+  "beheading",
+  "beholding",
+  "belabored",
+  "belatedly",
+  "believers",
+  "believing",
+  "belittled",
+  "belittles",
+  "bellowing",
+  "belonging",
+  "bemoaning",
+  "benefited",
+  "benighted",
+  "bequeaths",
+  "bereaving",
+  "beseeches",
+  "besetting",
+  "besieging",
+  "bestowing",
+  "betrayals",
+  "betraying",
+  "betrothal",
+  "bettering",
+  "beverages",
+  "bewilders",
+  "bewitched",
+  "bewitches",
+  "bickering",
+  "bicycling",
+  "biennials",
+  "bigamists",
+  "bilateral",
+  "bilingual",
+  "billboard",
+  "billfolds",
+  "billiards",
+  "billowing",
+  "biography",
+  "biologist",
+  "birdcages",
+  "birthdays",
+  "birthmark",
+  "bisecting",
+  "bisexuals",
+  "bitterest",
+  "blackbird",
+  "blackened",
+  "blackhead",
+  "blackjack",
+  "blacklist",
+  "blackmail",
+  "blackouts",
+  "blacktops",
+  "blameless",
+  "blanching",
+  "blanketed",
+  "blaspheme",
+  "blasphemy",
+  "blatantly",
+  "bleaching",
+  "bleariest",
+  "blemished",
+  "blemishes",
+  "blessings",
+  "blighting",
+  "blindfold",
+  "blindness",
+  "blinkered",
+  "blistered",
+  "blizzards",
+  "blockaded",
+  "blockades",
+  "blockhead",
+  "bloodiest",
+  "bloodshed",
+  "bloodshot",
+  "bloodying",
+  "blossomed",
+  "blotching",
+  "blowtorch",
+  "blubbered",
+  "bludgeons",
+  "bluebells",
+  "blueberry",
+  "bluebirds",
+  "bluegrass",
+  "blueprint",
+  "blundered",
+  "bluntness",
+  "blustered",
+  "boardwalk",
+  "bodyguard",
+  "bolstered",
+  "bombarded",
+  "bookcases",
+  "bookmarks",
+  "bookshelf",
+  "bookshops",
+  "bookstore",
+  "bookworms",
+  "boomerang",
+  "bootstrap",
+  "bordering",
+  "borrowing",
+  "botanical",
+  "botanists",
+  "bothering",
+  "bottoming",
+  "boulevard",
+  "boundless",
+  "bountiful",
+  "bourgeois",
+  "boutiques",
+  "bowlegged",
+  "boycotted",
+  "boyfriend",
+  "bracelets",
+  "bracketed",
+  "braggarts",
+  "brainiest",
+  "brainless",
+  "brainwash",
+  "branching",
+  "brandying",
+  "brassiere",
+  "brassiest",
+  "brawniest",
+  "brazening",
+  "breaching",
+  "breakable",
+  "breakdown",
+  "breakfast",
+  "breakneck",
+  "breasting",
+  "breathers",
+  "breathing",
+  "breeziest",
+  "breweries",
+  "briefcase",
+  "brightens",
+  "brightest",
+  "brilliant",
+  "brimstone",
+  "bristling",
+  "brittlest",
+  "broaching",
+  "broadcast",
+  "broadened",
+  "broadside",
+  "brocading",
+  "brochures",
+  "brokering",
+  "brotherly",
+  "browbeats",
+  "brunching",
+  "brunettes",
+  "brusquest",
+  "brutality",
+  "bubbliest",
+  "bucketing",
+  "budgeting",
+  "buffaloed",
+  "buffaloes",
+  "buffering",
+  "buffeting",
+  "buildings",
+  "bulldozed",
+  "bulldozer",
+  "bulldozes",
+  "bulletins",
+  "bullfight",
+  "bullfrogs",
+  "bumblebee",
+  "bungalows",
+  "burdening",
+  "burnished",
+  "burnishes",
+  "burrowing",
+  "busheling",
+  "butchered",
+  "buttercup",
+  "butterfly",
+  "buttering",
+  "buttoning",
+  "bypassing",
+  "bystander",
+  "cafeteria",
+  "calculate",
+  "calendars",
+  "calibrate",
+  "calloused",
+  "callouses",
+  "callusing",
+  "campaigns",
+  "canceling",
+  "candidacy",
+  "candidate",
+  "canisters",
+  "cankering",
+  "canneries",
+  "cannibals",
+  "cannoning",
+  "canonical",
+  "canopying",
+  "cantering",
+  "canvasing",
+  "canvassed",
+  "canvasser",
+  "canvasses",
+  "capacitor",
+  "capillary",
+  "capsizing",
+  "capsuling",
+  "captained",
+  "captioned",
+  "captivate",
+  "captivity",
+  "capturing",
+  "carcasses",
+  "cardboard",
+  "cardigans",
+  "cardinals",
+  "careering",
+  "carefully",
+  "caressing",
+  "caretaker",
+  "carnation",
+  "carnivals",
+  "carnivore",
+  "carousing",
+  "carpenter",
+  "carpentry",
+  "carpeting",
+  "carriages",
+  "cartilage",
+  "cartooned",
+  "cartridge",
+  "cartwheel",
+  "cascading",
+  "cashiered",
+  "casserole",
+  "cassettes",
+  "castaways",
+  "castigate",
+  "castrated",
+  "castrates",
+  "cataclysm",
+  "cataloged",
+  "catapults",
+  "cataracts",
+  "catcalled",
+  "catchiest",
+  "catchings",
+  "catchment",
+  "catechism",
+  "catfishes",
+  "cathedral",
+  "catnapped",
+  "caucusing",
+  "causality",
+  "causeways",
+  "cautioned",
+  "cavaliers",
+  "cavalries",
+  "cavorting",
+  "ceasefire",
+  "ceaseless",
+  "celebrate",
+  "celebrity",
+  "celestial",
+  "celibates",
+  "cellulars",
+  "cellulose",
+  "cementing",
+  "censoring",
+  "censuring",
+  "censusing",
+  "centering",
+  "centipede",
+  "centrally",
+  "centuries",
+  "certainly",
+  "certainty",
+  "certified",
+  "certifies",
+  "cessation",
+  "chagrined",
+  "chalkiest",
+  "challenge",
+  "chameleon",
+  "champagne",
+  "champions",
+  "channeled",
+  "chaperons",
+  "chaplains",
+  "character",
+  "charcoals",
+  "charities",
+  "charlatan",
+  "chartered",
+  "chastened",
+  "chastised",
+  "chastises",
+  "chattered",
+  "chattiest",
+  "chauffeur",
+  "cheapened",
+  "cheapness",
+  "cheeriest",
+  "chemicals",
+  "chemistry",
+  "cherished",
+  "cherishes",
+  "chestnuts",
+  "chickened",
+  "chieftain",
+  "childhood",
+  "childlike",
+  "chilliest",
+  "chipmunks",
+  "chiseling",
+  "chocolate",
+  "choosiest",
+  "choppered",
+  "choppiest",
+  "chortling",
+  "chorusing",
+  "christens",
+  "chronicle",
+  "chubbiest",
+  "chuckling",
+  "chummiest",
+  "chunkiest",
+  "cigarette",
+  "cindering",
+  "ciphering",
+  "circuited",
+  "circuitry",
+  "circulars",
+  "circulate",
+  "citations",
+  "civilians",
+  "civilized",
+  "civilizes",
+  "clambered",
+  "clammiest",
+  "clamoring",
+  "clarified",
+  "clarifies",
+  "clarinets",
+  "classical",
+  "classmate",
+  "classroom",
+  "clattered",
+  "cleanlier",
+  "cleansers",
+  "cleansing",
+  "clearance",
+  "clearings",
+  "clearness",
+  "cleavages",
+  "clenching",
+  "clergyman",
+  "clergymen",
+  "cleverest",
+  "climactic",
+  "climaxing",
+  "clinching",
+  "clipboard",
+  "clippings",
+  "clockwise",
+  "clockwork",
+  "cloisters",
+  "closeness",
+  "closeting",
+  "cloudiest",
+  "clubhouse",
+  "clumsiest",
+  "clustered",
+  "clutching",
+  "cluttered",
+  "coagulate",
+  "coalesced",
+  "coalesces",
+  "coalition",
+  "coarsened",
+  "coastline",
+  "cockroach",
+  "cocktails",
+  "cocooning",
+  "coexisted",
+  "coffining",
+  "cognitive",
+  "coherence",
+  "coincided",
+  "coincides",
+  "colanders",
+  "collapsed",
+  "collapses",
+  "collaring",
+  "collating",
+  "collation",
+  "colleague",
+  "collected",
+  "collector",
+  "colliding",
+  "collision",
+  "collusion",
+  "colonials",
+  "colonized",
+  "colonizes",
+  "colorless",
+  "combatant",
+  "combating",
+  "combining",
+  "comedians",
+  "comeliest",
+  "comforted",
+  "commanded",
+  "commander",
+  "commandos",
+  "commenced",
+  "commences",
+  "commended",
+  "commented",
+  "committed",
+  "committee",
+  "commodity",
+  "commodore",
+  "commonest",
+  "commotion",
+  "communing",
+  "communion",
+  "communism",
+  "communist",
+  "community",
+  "commuters",
+  "commuting",
+  "compacted",
+  "compacter",
+  "companies",
+  "companion",
+  "comparing",
+  "compassed",
+  "compasses",
+  "compelled",
+  "competent",
+  "competing",
+  "compilers",
+  "compiling",
+  "complains",
+  "complaint",
+  "completed",
+  "completer",
+  "completes",
+  "complexes",
+  "compliant",
+  "complying",
+  "component",
+  "composers",
+  "composing",
+  "composite",
+  "composted",
+  "composure",
+  "compounds",
+  "comprised",
+  "comprises",
+  "computers",
+  "computing",
+  "concealed",
+  "conceding",
+  "conceited",
+  "conceived",
+  "conceives",
+  "concerned",
+  "concerted",
+  "concertos",
+  "concisely",
+  "concisest",
+  "concluded",
+  "concludes",
+  "concocted",
+  "concourse",
+  "concreted",
+  "concretes",
+  "concurred",
+  "condemned",
+  "condensed",
+  "condenses",
+  "condiment",
+  "condition",
+  "condoning",
+  "conducive",
+  "conducted",
+  "conductor",
+  "conferred",
+  "conferrer",
+  "confessed",
+  "confesses",
+  "confidant",
+  "confident",
+  "confiding",
+  "configure",
+  "confining",
+  "confirmed",
+  "conflicts",
+  "conformed",
+  "confounds",
+  "confronts",
+  "confusing",
+  "confusion",
+  "congealed",
+  "congenial",
+  "congested",
+  "congruent",
+  "conjugate",
+  "conjuring",
+  "connected",
+  "connector",
+  "connoting",
+  "conquered",
+  "conqueror",
+  "conquests",
+  "conscious",
+  "consensus",
+  "consented",
+  "conserved",
+  "conserves",
+  "considers",
+  "consigned",
+  "consisted",
+  "consoling",
+  "consonant",
+  "consorted",
+  "conspired",
+  "conspires",
+  "constancy",
+  "constants",
+  "constrain",
+  "constrict",
+  "construct",
+  "construed",
+  "construes",
+  "consulate",
+  "consulted",
+  "consumers",
+  "consuming",
+  "contacted",
+  "contagion",
+  "contained",
+  "container",
+  "contended",
+  "contender",
+  "contented",
+  "contested",
+  "continent",
+  "continual",
+  "continued",
+  "continues",
+  "continuum",
+  "contorted",
+  "contoured",
+  "contracts",
+  "contrasts",
+  "contrived",
+  "contrives",
+  "convening",
+  "converged",
+  "converges",
+  "conversed",
+  "converses",
+  "converted",
+  "converter",
+  "conveying",
+  "convicted",
+  "convinced",
+  "convinces",
+  "convoying",
+  "convulsed",
+  "convulses",
+  "cookbooks",
+  "cooperate",
+  "copiously",
+  "copyright",
+  "cordially",
+  "cordoning",
+  "corkscrew",
+  "cornering",
+  "corollary",
+  "corporals",
+  "corporate",
+  "corpulent",
+  "corpuscle",
+  "corralled",
+  "corrected",
+  "correcter",
+  "correctly",
+  "corrector",
+  "correlate",
+  "corridors",
+  "corroding",
+  "corrosion",
+  "corrosive",
+  "corrupted",
+  "corrupter",
+  "corseting",
+  "cosmetics",
+  "cosmology",
+  "cosmonaut",
+  "costliest",
+  "costuming",
+  "cottoning",
+  "councilor",
+  "counseled",
+  "counselor",
+  "countable",
+  "countdown",
+  "countered",
+  "countless",
+  "countries",
+  "courteous",
+  "courtroom",
+  "courtship",
+  "courtyard",
+  "covenants",
+  "cowardice",
+  "crabbiest",
+  "crackling",
+  "crackpots",
+  "craftiest",
+  "craftsman",
+  "craftsmen",
+  "craggiest",
+  "cranberry",
+  "crankiest",
+  "cratering",
+  "crayoning",
+  "craziness",
+  "creakiest",
+  "creamiest",
+  "creations",
+  "creatives",
+  "creatures",
+  "crediting",
+  "creditors",
+  "credulous",
+  "creepiest",
+  "cremating",
+  "cremation",
+  "crescendo",
+  "crescents",
+  "cretinous",
+  "crevasses",
+  "criminals",
+  "crimsoned",
+  "crinkling",
+  "crippling",
+  "criterion",
+  "criticism",
+  "criticize",
+  "critiqued",
+  "critiques",
+  "crocheted",
+  "crocodile",
+  "crookeder",
+  "crossbows",
+  "crossings",
+  "crossroad",
+  "crosswalk",
+  "crossword",
+  "crouching",
+  "crucially",
+  "crucified",
+  "crucifies",
+  "cruelties",
+  "crumblier",
+  "crumbling",
+  "crummiest",
+  "crumpling",
+  "crunching",
+  "crusaders",
+  "crusading",
+  "crustiest",
+  "crybabies",
+  "cucumbers",
+  "culminate",
+  "cultivate",
+  "culturing",
+  "cunninger",
+  "cunningly",
+  "cupboards",
+  "curiosity",
+  "curiously",
+  "currently",
+  "curricula",
+  "curtailed",
+  "curtained",
+  "curtsying",
+  "curvature",
+  "cushioned",
+  "custodian",
+  "customary",
+  "customers",
+  "customize",
+  "cutthroat",
+  "cylinders",
+  "cypresses",
+  "dachshund",
+  "daffodils",
+  "daintiest",
+  "damnation",
+  "damnedest",
+  "dampening",
+  "dandelion",
+  "dangerous",
+  "dapperest",
+  "daredevil",
+  "darkening",
+  "dashboard",
+  "dastardly",
+  "databases",
+  "daughters",
+  "dauntless",
+  "daydreams",
+  "deadening",
+  "deadliest",
+  "deadlines",
+  "deadlocks",
+  "deathbeds",
+  "debatable",
+  "debriefed",
+  "debugging",
+  "debunking",
+  "decadence",
+  "decadents",
+  "decanters",
+  "deceasing",
+  "deceitful",
+  "deceiving",
+  "decencies",
+  "deception",
+  "deceptive",
+  "decidedly",
+  "deciduous",
+  "decimated",
+  "decimates",
+  "deciphers",
+  "decisions",
+  "declaring",
+  "declining",
+  "decompose",
+  "decorated",
+  "decorates",
+  "decorator",
+  "decreased",
+  "decreases",
+  "decreeing",
+  "dedicated",
+  "dedicates",
+  "deducting",
+  "deduction",
+  "deductive",
+  "deepening",
+  "defaulted",
+  "defeating",
+  "defeatist",
+  "defecated",
+  "defecates",
+  "defecting",
+  "defective",
+  "defendant",
+  "defenders",
+  "defending",
+  "defensing",
+  "defensive",
+  "deference",
+  "deferring",
+  "defiantly",
+  "deficient",
+  "definable",
+  "deflating",
+  "deflation",
+  "deflected",
+  "deforming",
+  "deformity",
+  "defrauded",
+  "defrosted",
+  "degrading",
+  "dehydrate",
+  "dejecting",
+  "dejection",
+  "delegated",
+  "delegates",
+  "deletions",
+  "delicious",
+  "delighted",
+  "delimited",
+  "delimiter",
+  "delirious",
+  "deliriums",
+  "delivered",
+  "delusions",
+  "demagogue",
+  "demanding",
+  "demeaning",
+  "democracy",
+  "democrats",
+  "demotions",
+  "denigrate",
+  "denounced",
+  "denounces",
+  "densities",
+  "dentistry",
+  "deodorant",
+  "deodorize",
+  "departing",
+  "departure",
+  "dependent",
+  "depending",
+  "depicting",
+  "depiction",
+  "depleting",
+  "deploring",
+  "deporting",
+  "deposited",
+  "depraving",
+  "depravity",
+  "deprecate",
+  "depressed",
+  "depresses",
+  "depriving",
+  "derailing",
+  "deranging",
+  "derelicts",
+  "descended",
+  "described",
+  "describes",
+  "desecrate",
+  "deserters",
+  "deserting",
+  "deserving",
+  "designate",
+  "designers",
+  "designing",
+  "desirable",
+  "desisting",
+  "desolated",
+  "desolates",
+  "despaired",
+  "desperate",
+  "despising",
+  "destinies",
+  "destining",
+  "destitute",
+  "destroyed",
+  "destroyer",
+  "detaching",
+  "detailing",
+  "detaining",
+  "detecting",
+  "detection",
+  "detective",
+  "detectors",
+  "detention",
+  "detergent",
+  "determine",
+  "deterrent",
+  "deterring",
+  "detesting",
+  "dethroned",
+  "dethrones",
+  "detonated",
+  "detonates",
+  "detonator",
+  "detouring",
+  "detracted",
+  "detriment",
+  "devastate",
+  "developed",
+  "developer",
+  "deviating",
+  "deviation",
+  "devolving",
+  "devotions",
+  "devouring",
+  "devoutest",
+  "dexterity",
+  "dexterous",
+  "diabetics",
+  "diagnosed",
+  "diagnoses",
+  "diagnosis",
+  "diagonals",
+  "dialogues",
+  "diameters",
+  "diapering",
+  "diaphragm",
+  "dictating",
+  "dictation",
+  "dictators",
+  "dieseling",
+  "dietaries",
+  "different",
+  "differing",
+  "difficult",
+  "diffusing",
+  "diffusion",
+  "digesting",
+  "digestion",
+  "digestive",
+  "digitally",
+  "digitized",
+  "digitizes",
+  "dignified",
+  "dignifies",
+  "dignitary",
+  "dignities",
+  "digressed",
+  "digresses",
+  "diligence",
+  "dimension",
+  "dinnering",
+  "dinosaurs",
+  "diphthong",
+  "diplomacy",
+  "diplomata",
+  "diplomats",
+  "directest",
+  "directing",
+  "direction",
+  "directive",
+  "directors",
+  "directory",
+  "disabling",
+  "disagreed",
+  "disagrees",
+  "disallows",
+  "disappear",
+  "disarming",
+  "disarrays",
+  "disasters",
+  "disavowed",
+  "disbanded",
+  "disbelief",
+  "disbursed",
+  "disburses",
+  "discarded",
+  "discerned",
+  "discharge",
+  "disciples",
+  "disclaims",
+  "disclosed",
+  "discloses",
+  "discolors",
+  "discorded",
+  "discounts",
+  "discourse",
+  "discovers",
+  "discovery",
+  "discredit",
+  "discussed",
+  "discusses",
+  "disdained",
+  "disembark",
+  "disengage",
+  "disfavors",
+  "disfigure",
+  "disgraced",
+  "disgraces",
+  "disguised",
+  "disguises",
+  "disgusted",
+  "dishonest",
+  "dishonors",
+  "disinfect",
+  "disjoints",
+  "disliking",
+  "dislocate",
+  "dislodged",
+  "dislodges",
+  "dismantle",
+  "dismaying",
+  "dismember",
+  "dismissal",
+  "dismissed",
+  "dismisses",
+  "dismounts",
+  "disobeyed",
+  "disorders",
+  "disowning",
+  "disparage",
+  "disparate",
+  "disparity",
+  "dispelled",
+  "dispensed",
+  "dispenser",
+  "dispenses",
+  "dispersal",
+  "dispersed",
+  "disperses",
+  "displaced",
+  "displaces",
+  "displayed",
+  "displease",
+  "disposals",
+  "disposing",
+  "disproved",
+  "disproves",
+  "disputing",
+  "disquiets",
+  "disregard",
+  "disrepair",
+  "disrepute",
+  "disrupted",
+  "dissected",
+  "dissented",
+  "dissenter",
+  "dissident",
+  "dissipate",
+  "dissolute",
+  "dissolved",
+  "dissolves",
+  "dissuaded",
+  "dissuades",
+  "distanced",
+  "distances",
+  "distantly",
+  "distastes",
+  "distended",
+  "distilled",
+  "distiller",
+  "distorted",
+  "distorter",
+  "distracts",
+  "districts",
+  "distrusts",
+  "disturbed",
+  "dithering",
+  "divergent",
+  "diverging",
+  "diversify",
+  "diversion",
+  "diversity",
+  "diverting",
+  "divesting",
+  "dividends",
+  "divisible",
+  "divisions",
+  "divorcing",
+  "divulging",
+  "dizziness",
+  "doctorate",
+  "doctoring",
+  "doctrines",
+  "documents",
+  "doghouses",
+  "dolefully",
+  "domestics",
+  "domiciled",
+  "domiciles",
+  "dominance",
+  "dominants",
+  "dominated",
+  "dominates",
+  "dominions",
+  "donations",
+  "doorsteps",
+  "dormitory",
+  "doubtless",
+  "doughnuts",
+  "downfalls",
+  "downgrade",
+  "downhills",
+  "downpours",
+  "downright",
+  "downwards",
+  "draconian",
+  "draftiest",
+  "draftsman",
+  "draftsmen",
+  "dragonfly",
+  "dramatist",
+  "dramatize",
+  "draperies",
+  "drawbacks",
+  "dreamiest",
+  "dreariest",
+  "drenching",
+  "dressiest",
+  "dressings",
+  "dribbling",
+  "driftwood",
+  "drinkable",
+  "driveling",
+  "driveways",
+  "drizzling",
+  "droppings",
+  "drowsiest",
+  "druggists",
+  "drugstore",
+  "drumstick",
+  "drunkards",
+  "drunkenly",
+  "dubiously",
+  "duchesses",
+  "ducklings",
+  "dumbbells",
+  "dumbfound",
+  "dumplings",
+  "duplicate",
+  "duplicity",
+  "dutifully",
+  "dwellings",
+  "dwindling",
+  "dynamical",
+  "dynamited",
+  "dynamites",
+  "dynasties",
+  "dysentery",
+  "eagerness",
+  "earmarked",
+  "earnestly",
+  "earthiest",
+  "earthlier",
+  "earthworm",
+  "easygoing",
+  "eavesdrop",
+  "eccentric",
+  "eclipsing",
+  "ecologist",
+  "economics",
+  "economies",
+  "economist",
+  "economize",
+  "ecosystem",
+  "ecstasies",
+  "editorial",
+  "educating",
+  "education",
+  "educators",
+  "effecting",
+  "effective",
+  "effectual",
+  "efficient",
+  "eggplants",
+  "eighteens",
+  "eightieth",
+  "ejaculate",
+  "ejections",
+  "elaborate",
+  "elections",
+  "electives",
+  "electoral",
+  "electrify",
+  "electrode",
+  "electrons",
+  "elegantly",
+  "elemental",
+  "elephants",
+  "elevating",
+  "elevation",
+  "elevators",
+  "elevenths",
+  "eliciting",
+  "eliminate",
+  "elongated",
+  "elongates",
+  "elopement",
+  "eloquence",
+  "elsewhere",
+  "elucidate",
+  "emanating",
+  "embalming",
+  "embargoed",
+  "embargoes",
+  "embarking",
+  "embarrass",
+  "embassies",
+  "embedding",
+  "embellish",
+  "embezzled",
+  "embezzles",
+  "embitters",
+  "embodying",
+  "embossing",
+  "embracing",
+  "embroider",
+  "embryonic",
+  "emergence",
+  "emergency",
+  "emigrants",
+  "emigrated",
+  "emigrates",
+  "eminences",
+  "eminently",
+  "emissions",
+  "emotional",
+  "emphasize",
+  "emphysema",
+  "empirical",
+  "employees",
+  "employers",
+  "employing",
+  "emporiums",
+  "empowered",
+  "empresses",
+  "emptiness",
+  "emulating",
+  "emulation",
+  "emulators",
+  "emulsions",
+  "enactment",
+  "enameling",
+  "enchanted",
+  "encircled",
+  "encircles",
+  "enclosing",
+  "enclosure",
+  "encompass",
+  "encounter",
+  "encourage",
+  "encrypted",
+  "encumbers",
+  "endangers",
+  "endearing",
+  "endeavors",
+  "endlessly",
+  "endorsing",
+  "endowment",
+  "endurance",
+  "energetic",
+  "enforcing",
+  "engenders",
+  "engineers",
+  "engravers",
+  "engraving",
+  "engrossed",
+  "engrosses",
+  "engulfing",
+  "enhancing",
+  "enigmatic",
+  "enjoyable",
+  "enjoyment",
+  "enlarging",
+  "enlighten",
+  "enlisting",
+  "enlivened",
+  "enriching",
+  "enrolling",
+  "ensembles",
+  "enshrined",
+  "enshrines",
+  "enslaving",
+  "entailing",
+  "entangled",
+  "entangles",
+  "entertain",
+  "enthralls",
+  "entitling",
+  "entranced",
+  "entrances",
+  "entrapped",
+  "entreated",
+  "entrusted",
+  "entwining",
+  "enumerate",
+  "enunciate",
+  "enveloped",
+  "envelopes",
+  "enviously",
+  "envisaged",
+  "envisages",
+  "ephemeral",
+  "epidemics",
+  "epidermis",
+  "epileptic",
+  "epilogues",
+  "equalized",
+  "equalizes",
+  "equations",
+  "equinoxes",
+  "equipment",
+  "equipping",
+  "equitable",
+  "equivocal",
+  "eradicate",
+  "erections",
+  "ergonomic",
+  "erroneous",
+  "erstwhile",
+  "eruptions",
+  "escalated",
+  "escalates",
+  "escalator",
+  "escapades",
+  "escorting",
+  "esophagus",
+  "espionage",
+  "essential",
+  "establish",
+  "esteeming",
+  "estimated",
+  "estimates",
+  "eternally",
+  "ethically",
+  "etiquette",
+  "etymology",
+  "eulogized",
+  "eulogizes",
+  "euphemism",
+  "evacuated",
+  "evacuates",
+  "evaluated",
+  "evaluates",
+  "evaporate",
+  "evergreen",
+  "everybody",
+  "evictions",
+  "evidenced",
+  "evidences",
+  "evidently",
+  "evocative",
+  "evolution",
+  "examiners",
+  "examining",
+  "exampling",
+  "excavated",
+  "excavates",
+  "exceeding",
+  "excellent",
+  "excelling",
+  "excepting",
+  "exception",
+  "excerpted",
+  "excessive",
+  "exchanged",
+  "exchanges",
+  "excitable",
+  "exclaimed",
+  "excluding",
+  "exclusion",
+  "exclusive",
+  "excrement",
+  "excreting",
+  "excursion",
+  "excusable",
+  "executing",
+  "execution",
+  "executive",
+  "executors",
+  "exemplary",
+  "exemplify",
+  "exempting",
+  "exemption",
+  "exercised",
+  "exercises",
+  "exertions",
+  "exhausted",
+  "exhibited",
+  "exhorting",
+  "existence",
+  "exonerate",
+  "expanding",
+  "expansion",
+  "expansive",
+  "expectant",
+  "expecting",
+  "expedient",
+  "expedited",
+  "expedites",
+  "expelling",
+  "expending",
+  "expensive",
+  "expertise",
+  "explained",
+  "expletive",
+  "exploding",
+  "exploited",
+  "explorers",
+  "exploring",
+  "explosion",
+  "explosive",
+  "exponents",
+  "exporters",
+  "exporting",
+  "exposures",
+  "expounded",
+  "expressed",
+  "expresses",
+  "expressly",
+  "expulsion",
+  "exquisite",
+  "extending",
+  "extension",
+  "extensive",
+  "exteriors",
+  "externals",
+  "extincted",
+  "extolling",
+  "extorting",
+  "extortion",
+  "extracted",
+  "extradite",
+  "extremely",
+  "extremest",
+  "extremist",
+  "extremity",
+  "extricate",
+  "extrovert",
+  "exuberant",
+  "eyeballed",
+  "eyelashes",
+  "fabricate",
+  "facetious",
+  "facsimile",
+  "factorial",
+  "factories",
+  "factoring",
+  "factually",
+  "faculties",
+  "faithfuls",
+  "faithless",
+  "fallacies",
+  "falsehood",
+  "falsettos",
+  "falsified",
+  "falsifies",
+  "falsities",
+  "faltering",
+  "familiars",
+  "fanatical",
+  "fantasied",
+  "fantasies",
+  "fantastic",
+  "farewells",
+  "fascinate",
+  "fashioned",
+  "fasteners",
+  "fastening",
+  "fathering",
+  "fathoming",
+  "fatiguing",
+  "fattening",
+  "faultiest",
+  "faultless",
+  "favorable",
+  "favorably",
+  "favorites",
+  "fearfully",
+  "feathered",
+  "featuring",
+  "feminines",
+  "feminists",
+  "fermented",
+  "ferocious",
+  "ferreting",
+  "fertility",
+  "fertilize",
+  "fervently",
+  "festering",
+  "festivals",
+  "festivity",
+  "festooned",
+  "fettering",
+  "feudalism",
+  "fictional",
+  "fidgeting",
+  "fifteenth",
+  "fiftieths",
+  "filaments",
+  "filleting",
+  "filtering",
+  "filthiest",
+  "finalists",
+  "finalized",
+  "finalizes",
+  "financial",
+  "financier",
+  "financing",
+  "finessing",
+  "fingering",
+  "fingertip",
+  "finickier",
+  "finishing",
+  "fireflies",
+  "fireplace",
+  "fireproof",
+  "firesides",
+  "fireworks",
+  "firsthand",
+  "fisheries",
+  "fisherman",
+  "fishermen",
+  "fixations",
+  "flabbiest",
+  "flagpoles",
+  "flagships",
+  "flagstone",
+  "flamingos",
+  "flammable",
+  "flanneled",
+  "flapjacks",
+  "flashback",
+  "flashiest",
+  "flattened",
+  "flattered",
+  "flatterer",
+  "flaunting",
+  "flavoring",
+  "fledgling",
+  "fleeciest",
+  "fleshiest",
+  "flickered",
+  "flightier",
+  "flimsiest",
+  "flinching",
+  "floppiest",
+  "flotillas",
+  "flouncing",
+  "flounders",
+  "flowerier",
+  "flowering",
+  "fluctuate",
+  "fluffiest",
+  "flurrying",
+  "flustered",
+  "fluttered",
+  "folksiest",
+  "followers",
+  "following",
+  "fomenting",
+  "foodstuff",
+  "foolhardy",
+  "foolishly",
+  "foolproof",
+  "footballs",
+  "foothills",
+  "footholds",
+  "footnoted",
+  "footnotes",
+  "footpaths",
+  "footprint",
+  "footsteps",
+  "footstool",
+  "forbidden",
+  "forearmed",
+  "foreboded",
+  "forebodes",
+  "forecasts",
+  "forefront",
+  "foregoing",
+  "foreheads",
+  "foreigner",
+  "forensics",
+  "foresight",
+  "foreskins",
+  "forestall",
+  "foresting",
+  "foretaste",
+  "foretells",
+  "forewarns",
+  "forewords",
+  "forfeited",
+  "forgeries",
+  "forgetful",
+  "forgiving",
+  "forgotten",
+  "formality",
+  "formalize",
+  "formation",
+  "formative",
+  "formatted",
+  "formulate",
+  "forsaking",
+  "forswears",
+  "forthwith",
+  "fortieths",
+  "fortified",
+  "fortifies",
+  "fortitude",
+  "fortnight",
+  "fortunate",
+  "forwarded",
+  "forwarder",
+  "fossilize",
+  "fostering",
+  "foundered",
+  "foundling",
+  "foundries",
+  "fountains",
+  "fourteens",
+  "fractions",
+  "fractured",
+  "fractures",
+  "fragility",
+  "fragments",
+  "fragrance",
+  "frailties",
+  "framework",
+  "franchise",
+  "fraternal",
+  "freckling",
+  "freelance",
+  "freighted",
+  "freighter",
+  "frequency",
+  "frequents",
+  "freshened",
+  "freshness",
+  "fretfully",
+  "friending",
+  "frightens",
+  "frightful",
+  "frighting",
+  "frigidity",
+  "frilliest",
+  "friskiest",
+  "frittered",
+  "frivolity",
+  "frivolous",
+  "frizziest",
+  "frolicked",
+  "frontages",
+  "frontiers",
+  "frostbite",
+  "frostiest",
+  "frostings",
+  "frothiest",
+  "frugality",
+  "fruitiest",
+  "fruitless",
+  "frustrate",
+  "fugitives",
+  "fulfilled",
+  "fumigated",
+  "fumigates",
+  "functions",
+  "fungicide",
+  "funneling",
+  "furiously",
+  "furloughs",
+  "furnished",
+  "furnishes",
+  "furniture",
+  "furrowing",
+  "furthered",
+  "furtively",
+  "fuselages",
+  "gallantry",
+  "galleries",
+  "gallivant",
+  "galloping",
+  "galvanize",
+  "gangplank",
+  "gangrened",
+  "gangrenes",
+  "gangsters",
+  "gardeners",
+  "gardenias",
+  "gardening",
+  "gargoyles",
+  "garlanded",
+  "garnished",
+  "garnishes",
+  "garrisons",
+  "garrulous",
+  "gathering",
+  "gauntlets",
+  "gazetting",
+  "genealogy",
+  "generally",
+  "generated",
+  "generates",
+  "generator",
+  "gentility",
+  "gentleman",
+  "gentlemen",
+  "genuinely",
+  "geography",
+  "geologies",
+  "geologist",
+  "geometric",
+  "geraniums",
+  "germicide",
+  "germinate",
+  "gestation",
+  "gesturing",
+  "ghastlier",
+  "ghostlier",
+  "gibbering",
+  "gibberish",
+  "giddiness",
+  "girlhoods",
+  "gladdened",
+  "gladiator",
+  "glamorize",
+  "glamorous",
+  "glamoured",
+  "glandular",
+  "glassiest",
+  "glassware",
+  "glimmered",
+  "glimpsing",
+  "glistened",
+  "glittered",
+  "gloomiest",
+  "glorified",
+  "glorifies",
+  "glossiest",
+  "glowering",
+  "goddesses",
+  "godfather",
+  "godmother",
+  "godparent",
+  "goldenest",
+  "goldsmith",
+  "goodnight",
+  "gossiping",
+  "goulashes",
+  "governess",
+  "governing",
+  "governors",
+  "graceless",
+  "gradation",
+  "gradients",
+  "gradually",
+  "graduated",
+  "graduates",
+  "grandiose",
+  "grandsons",
+  "grapevine",
+  "graphical",
+  "grappling",
+  "grassiest",
+  "gratified",
+  "gratifies",
+  "gratitude",
+  "graveling",
+  "graveyard",
+  "gravitate",
+  "greasiest",
+  "greatness",
+  "greediest",
+  "greenback",
+  "greenhorn",
+  "greetings",
+  "greyhound",
+  "gridirons",
+  "grievance",
+  "grimacing",
+  "grisliest",
+  "grittiest",
+  "grizzlier",
+  "grizzlies",
+  "groceries",
+  "groggiest",
+  "grooviest",
+  "grotesque",
+  "grouchier",
+  "grouching",
+  "grounding",
+  "groupings",
+  "groveling",
+  "grubbiest",
+  "gruesomer",
+  "grumbling",
+  "grumpiest",
+  "guarantee",
+  "guarantor",
+  "guardians",
+  "guerrilla",
+  "guessable",
+  "guesswork",
+  "guffawing",
+  "guidebook",
+  "guideline",
+  "guiltiest",
+  "guiltless",
+  "guitarist",
+  "gunpowder",
+  "guttering",
+  "gymnasium",
+  "gyrations",
+  "gyroscope",
+  "habitable",
+  "hackneyed",
+  "hailstone",
+  "hairlines",
+  "hallmarks",
+  "haltering",
+  "hamburger",
+  "hammering",
+  "hampering",
+  "hamstring",
+  "hamstrung",
+  "handbooks",
+  "handcuffs",
+  "handicaps",
+  "handiwork",
+  "handlebar",
+  "handrails",
+  "handshake",
+  "handsomer",
+  "hangovers",
+  "hankering",
+  "haphazard",
+  "happening",
+  "happiness",
+  "harangued",
+  "harangues",
+  "harassing",
+  "harboring",
+  "hardening",
+  "hardliner",
+  "hardships",
+  "hardwoods",
+  "harmfully",
+  "harmonica",
+  "harmonies",
+  "harmonize",
+  "harnessed",
+  "harnesses",
+  "harpooned",
+  "harrowing",
+  "harshness",
+  "harvested",
+  "harvester",
+  "hastening",
+  "hatefully",
+  "haughtier",
+  "haughtily",
+  "haystacks",
+  "hazarding",
+  "hazardous",
+  "headaches",
+  "headfirst",
+  "headlands",
+  "headlight",
+  "headlined",
+  "headlines",
+  "headphone",
+  "headrests",
+  "headstone",
+  "healthful",
+  "healthier",
+  "heartache",
+  "heartbeat",
+  "heartburn",
+  "heartened",
+  "heartfelt",
+  "heartiest",
+  "heartless",
+  "heaviness",
+  "hedgehogs",
+  "heightens",
+  "heirlooms",
+  "heliports",
+  "helpfully",
+  "hepatitis",
+  "heralding",
+  "hereafter",
+  "heretical",
+  "heritages",
+  "hesitancy",
+  "hesitated",
+  "hesitates",
+  "heuristic",
+  "hexagonal",
+  "hibernate",
+  "hiccuping",
+  "hickories",
+  "hideaways",
+  "hideously",
+  "hierarchy",
+  "highbrows",
+  "highlands",
+  "highlight",
+  "hijacking",
+  "hilarious",
+  "hillbilly",
+  "hillsides",
+  "hindering",
+  "hindrance",
+  "hindsight",
+  "histogram",
+  "historian",
+  "histories",
+  "hitchhike",
+  "hobgoblin",
+  "hobnobbed",
+  "holidayed",
+  "hollering",
+  "hollowest",
+  "hollowing",
+  "holocaust",
+  "holstered",
+  "homelands",
+  "homeliest",
+  "homestead",
+  "homicidal",
+  "homicides",
+  "honestest",
+  "honeycomb",
+  "honeymoon",
+  "honorable",
+  "hoodwinks",
+  "hopefully",
+  "hopscotch",
+  "horoscope",
+  "horrified",
+  "horrifies",
+  "horseback",
+  "horseplay",
+  "horseshoe",
+  "hospitals",
+  "hosteling",
+  "hostessed",
+  "hostesses",
+  "hostility",
+  "hotheaded",
+  "hourglass",
+  "houseboat",
+  "household",
+  "housewife",
+  "housework",
+  "humanized",
+  "humanizes",
+  "humiliate",
+  "humorists",
+  "hunchback",
+  "hundredth",
+  "hungering",
+  "hungriest",
+  "hurrahing",
+  "hurricane",
+  "hurriedly",
+  "husbanded",
+  "huskiness",
+  "hyacinths",
+  "hydraulic",
+  "hyperbole",
+  "hyphenate",
+  "hyphening",
+  "hypnotics",
+  "hypnotism",
+  "hypnotist",
+  "hypnotize",
+  "hypocrisy",
+  "hypocrite",
+  "hysterics",
+  "idealists",
+  "idealized",
+  "idealizes",
+  "identical",
+  "idiomatic",
+  "idolizing",
+  "ignitions",
+  "ignorance",
+  "illegally",
+  "illegible",
+  "illegibly",
+  "illnesses",
+  "illogical",
+  "illusions",
+  "imaginary",
+  "imagining",
+  "imbalance",
+  "imbeciles",
+  "imitating",
+  "imitation",
+  "imitative",
+  "imitators",
+  "immediate",
+  "immensely",
+  "immensity",
+  "immersing",
+  "immersion",
+  "immigrant",
+  "immigrate",
+  "immortals",
+  "immovable",
+  "immunized",
+  "immunizes",
+  "impacting",
+  "impairing",
+  "impartial",
+  "imparting",
+  "impassive",
+  "impatient",
+  "impeached",
+  "impeaches",
+  "impedance",
+  "impelling",
+  "impending",
+  "imperfect",
+  "imperials",
+  "imperiled",
+  "impetuous",
+  "impetuses",
+  "impinging",
+  "implanted",
+  "implement",
+  "implicate",
+  "imploring",
+  "important",
+  "importing",
+  "impostors",
+  "impotence",
+  "impounded",
+  "imprecise",
+  "impressed",
+  "impresses",
+  "imprinted",
+  "imprisons",
+  "impromptu",
+  "improving",
+  "improvise",
+  "impudence",
+  "impulsing",
+  "impulsive",
+  "inability",
+  "inanimate",
+  "inaudible",
+  "inaugural",
+  "incapable",
+  "incarnate",
+  "incensing",
+  "incentive",
+  "inception",
+  "incessant",
+  "incidence",
+  "incidents",
+  "incisions",
+  "inclining",
+  "including",
+  "inclusion",
+  "inclusive",
+  "incognito",
+  "incorrect",
+  "increased",
+  "increases",
+  "increment",
+  "incubated",
+  "incubates",
+  "incubator",
+  "incumbent",
+  "incurable",
+  "incurring",
+  "indecency",
+  "indelible",
+  "indelibly",
+  "indenting",
+  "indicated",
+  "indicates",
+  "indicator",
+  "indicting",
+  "indignant",
+  "indignity",
+  "indolence",
+  "inducting",
+  "induction",
+  "indulgent",
+  "indulging",
+  "inelegant",
+  "infantile",
+  "infecting",
+  "infection",
+  "inference",
+  "inferiors",
+  "inferring",
+  "infertile",
+  "infesting",
+  "infirmary",
+  "infirmity",
+  "inflaming",
+  "inflating",
+  "inflation",
+  "inflicted",
+  "influence",
+  "influenza",
+  "informant",
+  "informers",
+  "informing",
+  "infringed",
+  "infringes",
+  "infuriate",
+  "infusions",
+  "ingenious",
+  "ingenuity",
+  "ingesting",
+  "ingrained",
+  "inhabited",
+  "inherited",
+  "inhibited",
+  "initialed",
+  "initially",
+  "initiated",
+  "initiates",
+  "initiator",
+  "injecting",
+  "injection",
+  "injurious",
+  "injustice",
+  "innermost",
+  "innkeeper",
+  "innocence",
+  "innocents",
+  "innocuous",
+  "innuendos",
+  "inoculate",
+  "inputting",
+  "inquiries",
+  "inquiring",
+  "inscribed",
+  "inscribes",
+  "inserting",
+  "insertion",
+  "insidious",
+  "insincere",
+  "insinuate",
+  "insistent",
+  "insisting",
+  "insolence",
+  "insoluble",
+  "insolvent",
+  "inspected",
+  "inspector",
+  "inspiring",
+  "installed",
+  "instanced",
+  "instances",
+  "instantly",
+  "instigate",
+  "instilled",
+  "instincts",
+  "institute",
+  "instructs",
+  "insulated",
+  "insulates",
+  "insulator",
+  "insulting",
+  "insurance",
+  "insurgent",
+  "integrals",
+  "integrate",
+  "integrity",
+  "intellect",
+  "intending",
+  "intensely",
+  "intensest",
+  "intensify",
+  "intensity",
+  "intensive",
+  "intention",
+  "interacts",
+  "intercede",
+  "intercept",
+  "intercoms",
+  "interests",
+  "interface",
+  "interfere",
+  "interiors",
+  "interject",
+  "interlock",
+  "interlude",
+  "interment",
+  "internals",
+  "interning",
+  "interplay",
+  "interpose",
+  "interpret",
+  "interring",
+  "interrupt",
+  "intersect",
+  "intervals",
+  "intervene",
+  "interview",
+  "interwove",
+  "intestine",
+  "intimated",
+  "intimates",
+  "intricacy",
+  "intricate",
+  "intrigued",
+  "intrigues",
+  "intrinsic",
+  "introduce",
+  "introvert",
+  "intruders",
+  "intruding",
+  "intrusion",
+  "intrusive",
+  "intuition",
+  "intuitive",
+  "inundated",
+  "inundates",
+  "invalided",
+  "invariant",
+  "invasions",
+  "invective",
+  "inventing",
+  "invention",
+  "inventive",
+  "inventors",
+  "inventory",
+  "inversely",
+  "inversion",
+  "inverting",
+  "investing",
+  "investors",
+  "invisible",
+  "invisibly",
+  "invoicing",
+  "involving",
+  "irascible",
+  "irradiate",
+  "irregular",
+  "irrigated",
+  "irrigates",
+  "irritable",
+  "irritably",
+  "irritants",
+  "irritated",
+  "irritates",
+  "islanders",
+  "isolating",
+  "isolation",
+  "isthmuses",
+  "italicize",
+  "itemizing",
+  "iteration",
+  "iterative",
+  "itinerant",
+  "itinerary",
+  "jabbering",
+  "jackasses",
+  "jackknife",
+  "jaggedest",
+  "jamborees",
+  "jaundiced",
+  "jaundices",
+  "jauntiest",
+  "jawboning",
+  "jaywalked",
+  "jaywalker",
+  "jealously",
+  "jellyfish",
+  "jettisons",
+  "jewelries",
+  "jigsawing",
+  "jitterier",
+  "jockeying",
+  "journeyed",
+  "joyfuller",
+  "judgments",
+  "judiciary",
+  "judicious",
+  "junctions",
+  "junctures",
+  "junketing",
+  "justified",
+  "justifies",
+  "juveniles",
+  "juxtapose",
+  "kangaroos",
+  "keepsakes",
+  "kenneling",
+  "kerchiefs",
+  "keyboards",
+  "keynoting",
+  "keystones",
+  "keystroke",
+  "kickbacks",
+  "kidnapped",
+  "kidnapper",
+  "kilobytes",
+  "kilograms",
+  "kilometer",
+  "kilowatts",
+  "kindliest",
+  "knapsacks",
+  "knighting",
+  "knockouts",
+  "knottiest",
+  "knowingly",
+  "knowledge",
+  "knuckling",
+  "koshering",
+  "kowtowing",
+  "laborious",
+  "labyrinth",
+  "lacerated",
+  "lacerates",
+  "lacquered",
+  "laddering",
+  "lamenting",
+  "lampooned",
+  "landlords",
+  "landmarks",
+  "landowner",
+  "landscape",
+  "landslide",
+  "languages",
+  "larcenies",
+  "lateraled",
+  "lathering",
+  "latitudes",
+  "laughable",
+  "launchers",
+  "launching",
+  "laundered",
+  "laundries",
+  "laureates",
+  "lavenders",
+  "lavishest",
+  "lavishing",
+  "lawmakers",
+  "laxatives",
+  "leafleted",
+  "leapfrogs",
+  "lecturers",
+  "lecturing",
+  "legalized",
+  "legalizes",
+  "legendary",
+  "legislate",
+  "leisurely",
+  "lengthens",
+  "lengthier",
+  "lessening",
+  "lethargic",
+  "lettering",
+  "leveraged",
+  "leverages",
+  "liability",
+  "liberally",
+  "liberated",
+  "liberates",
+  "liberties",
+  "librarian",
+  "libraries",
+  "licensing",
+  "licorices",
+  "lifeboats",
+  "lifeforms",
+  "lifeguard",
+  "lifelines",
+  "lifestyle",
+  "lifetimes",
+  "ligaments",
+  "ligatures",
+  "lightened",
+  "lightness",
+  "lightning",
+  "likeliest",
+  "limbering",
+  "limelight",
+  "limericks",
+  "limestone",
+  "limitless",
+  "limousine",
+  "linchpins",
+  "lingering",
+  "linguists",
+  "liniments",
+  "lionesses",
+  "lipsticks",
+  "liquefied",
+  "liquefies",
+  "liquidate",
+  "liquoring",
+  "listeners",
+  "listening",
+  "literally",
+  "literates",
+  "litterbug",
+  "littering",
+  "liturgies",
+  "liveliest",
+  "livestock",
+  "loathings",
+  "loathsome",
+  "lobbyists",
+  "localized",
+  "localizes",
+  "locations",
+  "locksmith",
+  "loftiness",
+  "logarithm",
+  "logically",
+  "loincloth",
+  "loiterers",
+  "loitering",
+  "lollipops",
+  "loneliest",
+  "longevity",
+  "longitude",
+  "loopholes",
+  "loosening",
+  "lotteries",
+  "loveliest",
+  "loyalties",
+  "lubricant",
+  "lubricate",
+  "lucrative",
+  "ludicrous",
+  "lullabies",
+  "lumbering",
+  "luncheons",
+  "lunchtime",
+  "luxuriant",
+  "luxuriate",
+  "luxurious",
+  "lymphatic",
+  "macaronis",
+  "machinery",
+  "machining",
+  "machinist",
+  "mackerels",
+  "maddening",
+  "madhouses",
+  "maelstrom",
+  "magazines",
+  "magically",
+  "magicians",
+  "magnesium",
+  "magnetism",
+  "magnetize",
+  "magnified",
+  "magnifies",
+  "magnitude",
+  "magnolias",
+  "mailboxes",
+  "mainframe",
+  "mainlands",
+  "mainstays",
+  "maintains",
+  "majesties",
+  "makeshift",
+  "malformed",
+  "malicious",
+  "malignant",
+  "maligning",
+  "malleable",
+  "maltreats",
+  "mammalian",
+  "manacling",
+  "mandating",
+  "mandatory",
+  "mandibles",
+  "mandolins",
+  "maneuvers",
+  "mangroves",
+  "manhandle",
+  "manicured",
+  "manicures",
+  "manifesto",
+  "manifests",
+  "manifolds",
+  "manliness",
+  "mannequin",
+  "mannerism",
+  "marathons",
+  "margarine",
+  "marigolds",
+  "marijuana",
+  "marinated",
+  "marinates",
+  "marketing",
+  "marmalade",
+  "marooning",
+  "marriages",
+  "marshaled",
+  "marshiest",
+  "marsupial",
+  "martyrdom",
+  "martyring",
+  "marveling",
+  "marvelous",
+  "mascaraed",
+  "masculine",
+  "masochist",
+  "massacred",
+  "massacres",
+  "massaging",
+  "massively",
+  "masterful",
+  "mastering",
+  "masticate",
+  "matchbook",
+  "matchless",
+  "materials",
+  "maternity",
+  "matriarch",
+  "matrimony",
+  "mattering",
+  "mausoleum",
+  "mavericks",
+  "maximized",
+  "maximizes",
+  "meandered",
+  "meanwhile",
+  "measliest",
+  "measuring",
+  "mechanics",
+  "mechanism",
+  "mechanize",
+  "medallion",
+  "mediating",
+  "mediation",
+  "mediators",
+  "medically",
+  "medicated",
+  "medicates",
+  "medicinal",
+  "medicines",
+  "meditated",
+  "meditates",
+  "megabytes",
+  "megaphone",
+  "mellowest",
+  "mellowing",
+  "melodious",
+  "melodrama",
+  "membranes",
+  "memorable",
+  "memorably",
+  "memorials",
+  "memorized",
+  "memorizes",
+  "menagerie",
+  "menopause",
+  "menstrual",
+  "mentality",
+  "mentioned",
+  "mentoring",
+  "mercenary",
+  "merchants",
+  "merciless",
+  "meridians",
+  "meringues",
+  "merriment",
+  "messenger",
+  "metabolic",
+  "metaphors",
+  "meteorite",
+  "mezzanine",
+  "microcode",
+  "microfilm",
+  "microwave",
+  "middleman",
+  "middlemen",
+  "midstream",
+  "midsummer",
+  "midwifing",
+  "mightiest",
+  "migraines",
+  "migrating",
+  "migration",
+  "migratory",
+  "mildewing",
+  "milestone",
+  "militancy",
+  "militants",
+  "militated",
+  "militates",
+  "milligram",
+  "milliners",
+  "millinery",
+  "millionth",
+  "mimicking",
+  "mimicries",
+  "mincemeat",
+  "minefield",
+  "miniature",
+  "minibuses",
+  "minimally",
+  "minimized",
+  "minimizes",
+  "ministers",
+  "minstrels",
+  "minuscule",
+  "mirroring",
+  "misbehave",
+  "misdirect",
+  "miserable",
+  "miserably",
+  "misfitted",
+  "misgiving",
+  "misguided",
+  "misguides",
+  "misinform",
+  "misjudged",
+  "misjudges",
+  "mislaying",
+  "misnomers",
+  "misplaced",
+  "misplaces",
+  "misprints",
+  "misquoted",
+  "misquotes",
+  "misshapen",
+  "misspells",
+  "mistaking",
+  "mistletoe",
+  "mistrusts",
+  "mistyping",
+  "mitigated",
+  "mitigates",
+  "mnemonics",
+  "mobilized",
+  "mobilizes",
+  "moccasins",
+  "mockeries",
+  "modelings",
+  "moderated",
+  "moderates",
+  "moderator",
+  "modernity",
+  "modernize",
+  "modifiers",
+  "modifying",
+  "modulated",
+  "modulates",
+  "moistened",
+  "molecular",
+  "molecules",
+  "molesting",
+  "mollified",
+  "mollifies",
+  "momentary",
+  "momentous",
+  "monastery",
+  "monastics",
+  "monitored",
+  "monkeying",
+  "monograms",
+  "monologue",
+  "monorails",
+  "monstrous",
+  "monthlies",
+  "monuments",
+  "moonbeams",
+  "moonlight",
+  "moralists",
+  "mortality",
+  "mortaring",
+  "mortgaged",
+  "mortgages",
+  "mortified",
+  "mortifies",
+  "mothballs",
+  "mothering",
+  "motioning",
+  "motivated",
+  "motivates",
+  "motorbike",
+  "motorcade",
+  "motorists",
+  "motorized",
+  "motorizes",
+  "motorways",
+  "mountains",
+  "mouthfuls",
+  "movements",
+  "mugginess",
+  "multiples",
+  "multitude",
+  "mummified",
+  "mummifies",
+  "municipal",
+  "murderers",
+  "murdering",
+  "murderous",
+  "murmuring",
+  "mushrooms",
+  "musically",
+  "musicians",
+  "mustaches",
+  "mustering",
+  "mutations",
+  "mutilated",
+  "mutilates",
+  "mutinying",
+  "muttering",
+  "mysteries",
+  "mysticism",
+  "mystified",
+  "mystifies",
+  "mythology",
+  "nakedness",
+  "namesakes",
+  "napalming",
+  "narcotics",
+  "narrating",
+  "narration",
+  "narrative",
+  "narrators",
+  "narrowest",
+  "narrowing",
+  "nastiness",
+  "nationals",
+  "naturally",
+  "naughtier",
+  "naughtily",
+  "nauseated",
+  "nauseates",
+  "navigable",
+  "navigated",
+  "navigates",
+  "navigator",
+  "necessary",
+  "necessity",
+  "necklaces",
+  "necklines",
+  "nectarine",
+  "negations",
+  "negatived",
+  "negatives",
+  "neglected",
+  "negligees",
+  "negligent",
+  "negotiate",
+  "neighbors",
+  "neophytes",
+  "nervously",
+  "networked",
+  "neurology",
+  "neurotics",
+  "neutering",
+  "newcomers",
+  "newscasts",
+  "newspaper",
+  "newsprint",
+  "newsstand",
+  "nicknamed",
+  "nicknames",
+  "nightclub",
+  "nightfall",
+  "nightgown",
+  "nightmare",
+  "nighttime",
+  "nineteens",
+  "ninetieth",
+  "nitrating",
+  "nocturnal",
+  "noiseless",
+  "noisiness",
+  "nominally",
+  "nominated",
+  "nominates",
+  "nonentity",
+  "nonprofit",
+  "normality",
+  "northeast",
+  "northerly",
+  "northward",
+  "northwest",
+  "nosebleed",
+  "nostalgia",
+  "nostalgic",
+  "notations",
+  "notebooks",
+  "notifying",
+  "notoriety",
+  "notorious",
+  "nourished",
+  "nourishes",
+  "novelists",
+  "novelties",
+  "nuisances",
+  "nullified",
+  "nullifies",
+  "numbering",
+  "numerator",
+  "numerical",
+  "nursemaid",
+  "nurseries",
+  "nurturing",
+  "nutrients",
+  "nutriment",
+  "nutrition",
+  "nutshells",
+  "obedience",
+  "objecting",
+  "objection",
+  "objective",
+  "objectors",
+  "obligated",
+  "obligates",
+  "oblivious",
+  "obnoxious",
+  "obscenest",
+  "obscenity",
+  "obscurest",
+  "obscuring",
+  "obscurity",
+  "observant",
+  "observers",
+  "observing",
+  "obsessing",
+  "obsession",
+  "obsessive",
+  "obsoleted",
+  "obsoletes",
+  "obstacles",
+  "obstinacy",
+  "obstinate",
+  "obstructs",
+  "obtaining",
+  "obtrusive",
+  "obviously",
+  "occasions",
+  "occupancy",
+  "occupants",
+  "occupying",
+  "occurring",
+  "octagonal",
+  "octopuses",
+  "odometers",
+  "offenders",
+  "offending",
+  "offensive",
+  "offerings",
+  "officials",
+  "officiate",
+  "officious",
+  "offshoots",
+  "offspring",
+  "offstages",
+  "ointments",
+  "olfactory",
+  "ominously",
+  "omissions",
+  "onlookers",
+  "onslaught",
+  "operating",
+  "operation",
+  "operative",
+  "operators",
+  "opponents",
+  "opportune",
+  "opposites",
+  "oppressed",
+  "oppresses",
+  "oppressor",
+  "opticians",
+  "optimists",
+  "optimized",
+  "optimizes",
+  "optioning",
+  "orangutan",
+  "oratories",
+  "orchestra",
+  "ordaining",
+  "orderlies",
+  "ordinance",
+  "organisms",
+  "organists",
+  "organized",
+  "organizer",
+  "organizes",
+  "orientate",
+  "orienting",
+  "originals",
+  "originate",
+  "ornaments",
+  "orphanage",
+  "orphaning",
+  "oscillate",
+  "ostracize",
+  "ostriches",
+  "otherwise",
+  "ourselves",
+  "outbreaks",
+  "outbursts",
+  "outermost",
+  "outfields",
+  "outfitted",
+  "outgrowth",
+  "outhouses",
+  "outlasted",
+  "outlawing",
+  "outlaying",
+  "outlining",
+  "outliving",
+  "outnumber",
+  "outputted",
+  "outraging",
+  "outshines",
+  "outsiders",
+  "outskirts",
+  "outsmarts",
+  "outspoken",
+  "outstrips",
+  "outwardly",
+  "outweighs",
+  "outwitted",
+  "overbears",
+  "overblown",
+  "overboard",
+  "overborne",
+  "overcasts",
+  "overcoats",
+  "overcomes",
+  "overcrowd",
+  "overdoing",
+  "overdosed",
+  "overdoses",
+  "overdraft",
+  "overdrawn",
+  "overdraws",
+  "overeaten",
+  "overflows",
+  "overgrown",
+  "overgrows",
+  "overhands",
+  "overhangs",
+  "overhauls",
+  "overheads",
+  "overheard",
+  "overhears",
+  "overheats",
+  "overloads",
+  "overlooks",
+  "overlying",
+  "overnight",
+  "overpower",
+  "overprice",
+  "overprint",
+  "overrated",
+  "overrates",
+  "overreact",
+  "overrides",
+  "overruled",
+  "overrules",
+  "overseers",
+  "overshoot",
+  "oversight",
+  "oversleep",
+  "overslept",
+  "overstate",
+  "oversteps",
+  "overtaken",
+  "overtakes",
+  "overthrew",
+  "overthrow",
+  "overtimes",
+  "overtones",
+  "overtures",
+  "overturns",
+  "overusing",
+  "overwhelm",
+  "overworks",
+  "overwrite",
+  "ownership",
+  "oxidation",
+  "oxidizing",
+  "pacemaker",
+  "pacifiers",
+  "pacifists",
+  "pacifying",
+  "packaging",
+  "paddocked",
+  "padlocked",
+  "pageantry",
+  "painfully",
+  "paintings",
+  "palatable",
+  "palominos",
+  "paltriest",
+  "pampering",
+  "pamphlets",
+  "pancaking",
+  "pandering",
+  "panhandle",
+  "panicking",
+  "panoramas",
+  "panoramic",
+  "pantomime",
+  "paperback",
+  "paperwork",
+  "parachute",
+  "paradises",
+  "paradoxes",
+  "paragraph",
+  "parakeets",
+  "parallels",
+  "paralyses",
+  "paralysis",
+  "paralytic",
+  "paralyzed",
+  "paralyzes",
+  "parameter",
+  "paramount",
+  "paranoids",
+  "parasites",
+  "parasitic",
+  "parceling",
+  "parchment",
+  "pardoning",
+  "parentage",
+  "parenting",
+  "parochial",
+  "parodying",
+  "parroting",
+  "parsonage",
+  "partaking",
+  "partially",
+  "particles",
+  "partisans",
+  "partition",
+  "partnered",
+  "partridge",
+  "passbooks",
+  "passenger",
+  "passively",
+  "passports",
+  "passwords",
+  "pastorals",
+  "pasturing",
+  "patchwork",
+  "patenting",
+  "paternity",
+  "pathology",
+  "patienter",
+  "patiently",
+  "patriarch",
+  "patrimony",
+  "patriotic",
+  "patrolled",
+  "patronage",
+  "patronize",
+  "pattering",
+  "patterned",
+  "paunchier",
+  "pavements",
+  "pavilions",
+  "peaceable",
+  "pedestals",
+  "pedigrees",
+  "pelleting",
+  "penalized",
+  "penalizes",
+  "penalties",
+  "penciling",
+  "pendulums",
+  "penetrate",
+  "peninsula",
+  "penitence",
+  "penitents",
+  "penknives",
+  "penniless",
+  "pensioned",
+  "pensioner",
+  "pensively",
+  "pentagons",
+  "penthouse",
+  "peppering",
+  "perceived",
+  "perceives",
+  "perchance",
+  "percolate",
+  "perennial",
+  "perfected",
+  "perfecter",
+  "perfectly",
+  "perforate",
+  "performed",
+  "performer",
+  "perfuming",
+  "perimeter",
+  "periphery",
+  "periscope",
+  "perishing",
+  "perjuries",
+  "perjuring",
+  "permanent",
+  "permeated",
+  "permeates",
+  "permitted",
+  "peroxided",
+  "peroxides",
+  "perpetual",
+  "perplexed",
+  "perplexes",
+  "persecute",
+  "persevere",
+  "persisted",
+  "personals",
+  "personify",
+  "personnel",
+  "perspired",
+  "perspires",
+  "persuaded",
+  "persuades",
+  "pertained",
+  "pertinent",
+  "perturbed",
+  "pervading",
+  "pervasive",
+  "perverted",
+  "pessimism",
+  "pessimist",
+  "pestering",
+  "pesticide",
+  "petitions",
+  "petrified",
+  "petrifies",
+  "petroleum",
+  "petticoat",
+  "pettiness",
+  "pheasants",
+  "phenomena",
+  "phonetics",
+  "photocopy",
+  "physicals",
+  "physician",
+  "physicist",
+  "physiques",
+  "pickaxing",
+  "picketing",
+  "picnicked",
+  "pictorial",
+  "picturing",
+  "piecemeal",
+  "piecework",
+  "piggyback",
+  "pigheaded",
+  "pilfering",
+  "pillaging",
+  "pillowing",
+  "pimpliest",
+  "pineapple",
+  "pinioning",
+  "pinnacles",
+  "pinpoints",
+  "pioneered",
+  "pipelines",
+  "pirouette",
+  "pistachio",
+  "pitchfork",
+  "piteously",
+  "pitifully",
+  "pittances",
+  "placarded",
+  "placating",
+  "placement",
+  "placentas",
+  "plaintiff",
+  "plaintive",
+  "planetary",
+  "plantains",
+  "plastered",
+  "plateaued",
+  "platforms",
+  "platitude",
+  "platooned",
+  "plausible",
+  "plausibly",
+  "playfully",
+  "playhouse",
+  "playmates",
+  "plaything",
+  "pleasings",
+  "pleasured",
+  "pleasures",
+  "plentiful",
+  "plighting",
+  "plummeted",
+  "plundered",
+  "plurality",
+  "plutonium",
+  "pneumatic",
+  "pneumonia",
+  "pocketing",
+  "pockmarks",
+  "poignancy",
+  "pointedly",
+  "pointless",
+  "poisoning",
+  "poisonous",
+  "polarized",
+  "polarizes",
+  "policeman",
+  "policemen",
+  "polishing",
+  "political",
+  "pollinate",
+  "pollsters",
+  "pollutant",
+  "polluting",
+  "pollution",
+  "pondering",
+  "ponderous",
+  "populaces",
+  "popularly",
+  "populated",
+  "populates",
+  "porcelain",
+  "porcupine",
+  "porpoised",
+  "porpoises",
+  "portables",
+  "portended",
+  "portfolio",
+  "portholes",
+  "porticoes",
+  "portioned",
+  "portliest",
+  "portraits",
+  "portrayal",
+  "portrayed",
+  "positions",
+  "positives",
+  "possessed",
+  "possesses",
+  "possessor",
+  "possibles",
+  "postcards",
+  "posterior",
+  "posterity",
+  "postmarks",
+  "postponed",
+  "postpones",
+  "postulate",
+  "posturing",
+  "potassium",
+  "potential",
+  "potteries",
+  "pottering",
+  "powdering",
+  "powerless",
+  "powwowing",
+  "practical",
+  "practiced",
+  "practices",
+  "pragmatic",
+  "prattling",
+  "preachers",
+  "preaching",
+  "preambled",
+  "preambles",
+  "precedent",
+  "preceding",
+  "precincts",
+  "precipice",
+  "precisely",
+  "precisest",
+  "precision",
+  "precluded",
+  "precludes",
+  "precursor",
+  "predators",
+  "predatory",
+  "predicate",
+  "predicted",
+  "predictor",
+  "preempted",
+  "prefabbed",
+  "prefacing",
+  "preferred",
+  "prefixing",
+  "pregnancy",
+  "prejudice",
+  "premature",
+  "premiered",
+  "premieres",
+  "premising",
+  "preoccupy",
+  "preparing",
+  "prepaying",
+  "prescribe",
+  "presences",
+  "presented",
+  "presenter",
+  "presently",
+  "preserved",
+  "preserves",
+  "president",
+  "presiding",
+  "pressings",
+  "pressured",
+  "pressures",
+  "presuming",
+  "pretended",
+  "pretender",
+  "pretenses",
+  "prettiest",
+  "prettying",
+  "prevailed",
+  "prevalent",
+  "prevented",
+  "previewed",
+  "previewer",
+  "priceless",
+  "pricklier",
+  "prickling",
+  "priestess",
+  "primaries",
+  "primarily",
+  "primitive",
+  "primroses",
+  "principal",
+  "principle",
+  "printable",
+  "printings",
+  "printouts",
+  "prisoners",
+  "privately",
+  "privatest",
+  "privation",
+  "privatize",
+  "privilege",
+  "probables",
+  "probation",
+  "procedure",
+  "proceeded",
+  "processed",
+  "processes",
+  "processor",
+  "proclaims",
+  "procuring",
+  "prodigals",
+  "prodigies",
+  "producers",
+  "producing",
+  "profaning",
+  "profanity",
+  "professed",
+  "professes",
+  "professor",
+  "proffered",
+  "profiling",
+  "profiteer",
+  "profiting",
+  "profusely",
+  "profusion",
+  "prognoses",
+  "prognosis",
+  "prohibits",
+  "projected",
+  "projector",
+  "prologues",
+  "prolonged",
+  "promenade",
+  "prominent",
+  "promising",
+  "promoting",
+  "promotion",
+  "promptest",
+  "prompting",
+  "pronounce",
+  "proofread",
+  "propagate",
+  "propelled",
+  "propeller",
+  "properest",
+  "prophetic",
+  "proponent",
+  "proposals",
+  "proposing",
+  "propriety",
+  "prosecute",
+  "prospects",
+  "prospered",
+  "prostrate",
+  "protected",
+  "protector",
+  "protested",
+  "protocols",
+  "prototype",
+  "protracts",
+  "protruded",
+  "protrudes",
+  "providing",
+  "provinces",
+  "provision",
+  "provoking",
+  "proximity",
+  "pseudonym",
+  "psychoses",
+  "psychosis",
+  "psychotic",
+  "publicity",
+  "publicize",
+  "published",
+  "publisher",
+  "publishes",
+  "puckering",
+  "pullovers",
+  "pulmonary",
+  "pulsating",
+  "pulsation",
+  "pulverize",
+  "pummeling",
+  "punchline",
+  "punctuate",
+  "punctured",
+  "punctures",
+  "punishing",
+  "purchased",
+  "purchaser",
+  "purchases",
+  "purgatory",
+  "purifying",
+  "purported",
+  "purposing",
+  "pushovers",
+  "puttering",
+  "pyramided",
+  "quadrants",
+  "quadratic",
+  "quadruped",
+  "quadruple",
+  "quagmires",
+  "quaintest",
+  "qualified",
+  "qualifier",
+  "qualifies",
+  "qualities",
+  "quarreled",
+  "quarrying",
+  "quartered",
+  "quarterly",
+  "quavering",
+  "queasiest",
+  "queenlier",
+  "quenching",
+  "questions",
+  "quibbling",
+  "quickened",
+  "quicksand",
+  "quivering",
+  "quizzical",
+  "quotation",
+  "quotients",
+  "rabbiting",
+  "racetrack",
+  "racketeer",
+  "racketing",
+  "radiating",
+  "radiation",
+  "radiators",
+  "radically",
+  "raggedest",
+  "railroads",
+  "raincoats",
+  "raindrops",
+  "rainfalls",
+  "rainstorm",
+  "rainwater",
+  "rampaging",
+  "ramrodded",
+  "rancorous",
+  "ransacked",
+  "ransoming",
+  "rapturous",
+  "raspberry",
+  "ratifying",
+  "rationale",
+  "rationals",
+  "rationing",
+  "raucously",
+  "ravishing",
+  "reactions",
+  "readiness",
+  "readjusts",
+  "realistic",
+  "realities",
+  "realizing",
+  "reappears",
+  "rearrange",
+  "reasoning",
+  "reassured",
+  "reassures",
+  "rebelling",
+  "rebellion",
+  "rebinding",
+  "rebounded",
+  "rebuffing",
+  "rebuttals",
+  "rebutting",
+  "recalling",
+  "recanting",
+  "recapping",
+  "recapture",
+  "receipted",
+  "receivers",
+  "receiving",
+  "recentest",
+  "reception",
+  "receptive",
+  "recessing",
+  "recession",
+  "recharged",
+  "recharges",
+  "recipient",
+  "reckoning",
+  "reclaimed",
+  "reclining",
+  "recognize",
+  "recoiling",
+  "recollect",
+  "recommend",
+  "recompile",
+  "reconcile",
+  "reconnect",
+  "recorders",
+  "recording",
+  "recounted",
+  "recouping",
+  "recovered",
+  "recreated",
+  "recreates",
+  "recruited",
+  "rectangle",
+  "rectified",
+  "rectifies",
+  "recurrent",
+  "recurring",
+  "recursion",
+  "recursive",
+  "recycling",
+  "reddening",
+  "redeeming",
+  "redefined",
+  "redefines",
+  "redesigns",
+  "redirects",
+  "redressed",
+  "redresses",
+  "reduction",
+  "redundant",
+  "reelected",
+  "reference",
+  "referring",
+  "refilling",
+  "reflected",
+  "reflector",
+  "reflexive",
+  "reformers",
+  "reforming",
+  "refrained",
+  "refreshed",
+  "refreshes",
+  "refueling",
+  "refunding",
+  "refurbish",
+  "regaining",
+  "regarding",
+  "regiments",
+  "registers",
+  "registrar",
+  "regressed",
+  "regresses",
+  "regretful",
+  "regretted",
+  "regularly",
+  "regulated",
+  "regulates",
+  "rehashing",
+  "rehearsal",
+  "rehearsed",
+  "rehearses",
+  "reimburse",
+  "reinforce",
+  "reinstate",
+  "reiterate",
+  "rejecting",
+  "rejection",
+  "rejoicing",
+  "rejoinder",
+  "rejoining",
+  "relapsing",
+  "relations",
+  "relatives",
+  "releasing",
+  "relegated",
+  "relegates",
+  "relenting",
+  "relevance",
+  "relieving",
+  "religions",
+  "religious",
+  "relishing",
+  "reloading",
+  "relocated",
+  "relocates",
+  "reluctant",
+  "remainder",
+  "remaining",
+  "remarking",
+  "remedying",
+  "remembers",
+  "reminders",
+  "reminding",
+  "reminisce",
+  "remission",
+  "remitting",
+  "remodeled",
+  "removable",
+  "rendering",
+  "rendition",
+  "renegaded",
+  "renegades",
+  "renewable",
+  "renounced",
+  "renounces",
+  "renovated",
+  "renovates",
+  "reopening",
+  "repairing",
+  "repayment",
+  "repealing",
+  "repeating",
+  "repellent",
+  "repelling",
+  "repentant",
+  "repenting",
+  "replacing",
+  "replenish",
+  "repleting",
+  "replicate",
+  "reporters",
+  "reporting",
+  "represent",
+  "repressed",
+  "represses",
+  "reprieved",
+  "reprieves",
+  "reprimand",
+  "reprinted",
+  "reprisals",
+  "reproduce",
+  "reprogram",
+  "reproving",
+  "republics",
+  "repudiate",
+  "repugnant",
+  "repulsing",
+  "repulsion",
+  "repulsive",
+  "reputable",
+  "reputedly",
+  "requested",
+  "requiring",
+  "requisite",
+  "rereading",
+  "rerouting",
+  "rescinded",
+  "resembled",
+  "resembles",
+  "resentful",
+  "resenting",
+  "reserving",
+  "reservoir",
+  "resetting",
+  "reshuffle",
+  "residence",
+  "residents",
+  "residuals",
+  "resigning",
+  "resilient",
+  "resistant",
+  "resisting",
+  "resistors",
+  "resolving",
+  "resonance",
+  "resorting",
+  "resounded",
+  "resources",
+  "respected",
+  "responded",
+  "responses",
+  "restarted",
+  "restoring",
+  "restrains",
+  "restraint",
+  "restricts",
+  "resubmits",
+  "resultant",
+  "resulting",
+  "resurface",
+  "resurrect",
+  "retailers",
+  "retailing",
+  "retainers",
+  "retaining",
+  "retaliate",
+  "retarding",
+  "retention",
+  "reticence",
+  "retorting",
+  "retracing",
+  "retracted",
+  "retreated",
+  "retrieval",
+  "retrieved",
+  "retriever",
+  "retrieves",
+  "returning",
+  "reuniting",
+  "revamping",
+  "revealing",
+  "revelries",
+  "revenging",
+  "reverence",
+  "reversals",
+  "reversing",
+  "reversion",
+  "reverting",
+  "reviewers",
+  "reviewing",
+  "revisions",
+  "revisited",
+  "revolting",
+  "revolvers",
+  "revolving",
+  "revulsion",
+  "rewarding",
+  "rewriting",
+  "rewritten",
+  "ricketier",
+  "rickshaws",
+  "ricochets",
+  "ridiculed",
+  "ridicules",
+  "righteous",
+  "rightmost",
+  "rightness",
+  "rivalries",
+  "roadblock",
+  "roadsides",
+  "robberies",
+  "robustest",
+  "rocketing",
+  "romancing",
+  "romantics",
+  "roommates",
+  "rotations",
+  "rottenest",
+  "roughened",
+  "roughness",
+  "roundness",
+  "routinely",
+  "rowdiness",
+  "royalties",
+  "rubbished",
+  "rubbishes",
+  "ruggedest",
+  "ruminated",
+  "ruminates",
+  "rummaging",
+  "rupturing",
+  "sabotaged",
+  "sabotages",
+  "saboteurs",
+  "sacrament",
+  "sacrifice",
+  "sacrilege",
+  "saddening",
+  "safariing",
+  "safeguard",
+  "sagebrush",
+  "sailboats",
+  "saintlier",
+  "salivated",
+  "salivates",
+  "sallowest",
+  "salvaging",
+  "salvation",
+  "sanctions",
+  "sanctuary",
+  "sandpaper",
+  "sandstone",
+  "sandstorm",
+  "sapphires",
+  "sarcastic",
+  "satellite",
+  "satirical",
+  "satirists",
+  "satirized",
+  "satirizes",
+  "satisfied",
+  "satisfies",
+  "saturated",
+  "saturates",
+  "saucepans",
+  "sauntered",
+  "savoriest",
+  "saxophone",
+  "scaffolds",
+  "scalloped",
+  "scampered",
+  "scantiest",
+  "scapegoat",
+  "scarecrow",
+  "scattered",
+  "scavenger",
+  "scenarios",
+  "scheduled",
+  "scheduler",
+  "schedules",
+  "scholarly",
+  "schoolboy",
+  "schooling",
+  "schooners",
+  "scientist",
+  "scorching",
+  "scorpions",
+  "scoundrel",
+  "scourging",
+  "scrambled",
+  "scrambles",
+  "scramming",
+  "scrapbook",
+  "scrapping",
+  "scratched",
+  "scratches",
+  "scrawling",
+  "scrawnier",
+  "screaming",
+  "screeched",
+  "screeches",
+  "screening",
+  "screwiest",
+  "scribbled",
+  "scribbles",
+  "scripting",
+  "scripture",
+  "scrolling",
+  "scrounged",
+  "scrounges",
+  "scrubbing",
+  "scruffier",
+  "scrupling",
+  "scuffling",
+  "sculptors",
+  "sculpture",
+  "scurrying",
+  "scuttling",
+  "seafaring",
+  "searching",
+  "seashells",
+  "seashores",
+  "seasoning",
+  "secession",
+  "secluding",
+  "seclusion",
+  "secondary",
+  "seconding",
+  "secretary",
+  "secreting",
+  "secretion",
+  "secretive",
+  "sectioned",
+  "sedatives",
+  "sedentary",
+  "sediments",
+  "seduction",
+  "seductive",
+  "seedlings",
+  "seemingly",
+  "seesawing",
+  "segmented",
+  "segregate",
+  "selecting",
+  "selection",
+  "selective",
+  "selectors",
+  "semantics",
+  "semblance",
+  "semesters",
+  "semicolon",
+  "semifinal",
+  "seniority",
+  "sensation",
+  "senseless",
+  "sensitive",
+  "sentenced",
+  "sentences",
+  "sentience",
+  "sentiment",
+  "separated",
+  "separates",
+  "separator",
+  "sepulcher",
+  "sequenced",
+  "sequencer",
+  "sequences",
+  "serenaded",
+  "serenades",
+  "sergeants",
+  "seriously",
+  "servicing",
+  "serviette",
+  "servitude",
+  "seventeen",
+  "seventies",
+  "severance",
+  "sexuality",
+  "shabbiest",
+  "shackling",
+  "shadowier",
+  "shadowing",
+  "shaggiest",
+  "shallower",
+  "shameless",
+  "shampooed",
+  "shamrocks",
+  "shapelier",
+  "sharpened",
+  "sharpener",
+  "sharpness",
+  "shattered",
+  "sheathing",
+  "shellfish",
+  "sheltered",
+  "shepherds",
+  "shielding",
+  "shiftiest",
+  "shiftless",
+  "shimmered",
+  "shingling",
+  "shipments",
+  "shipshape",
+  "shipwreck",
+  "shivering",
+  "shoddiest",
+  "shoelaces",
+  "shortages",
+  "shortened",
+  "shortfall",
+  "shorthand",
+  "shortlist",
+  "shortness",
+  "shoulders",
+  "shoveling",
+  "showcased",
+  "showcases",
+  "showdowns",
+  "showering",
+  "shredding",
+  "shrewdest",
+  "shrieking",
+  "shrillest",
+  "shrilling",
+  "shrimping",
+  "shrinkage",
+  "shrinking",
+  "shriveled",
+  "shrouding",
+  "shrubbery",
+  "shrugging",
+  "shuddered",
+  "shuffling",
+  "shuttered",
+  "shuttling",
+  "sickening",
+  "sickliest",
+  "sidelined",
+  "sidelines",
+  "sideshows",
+  "sidesteps",
+  "sidetrack",
+  "sidewalks",
+  "sightless",
+  "signaling",
+  "signature",
+  "signified",
+  "signifies",
+  "signposts",
+  "silencing",
+  "silentest",
+  "silliness",
+  "silvering",
+  "similarly",
+  "simmering",
+  "simulated",
+  "simulates",
+  "simulator",
+  "sincerely",
+  "sincerest",
+  "sincerity",
+  "singulars",
+  "siphoning",
+  "situating",
+  "situation",
+  "sixpences",
+  "sixteenth",
+  "sixtieths",
+  "skeletons",
+  "skeptical",
+  "sketchier",
+  "sketching",
+  "skewering",
+  "skimpiest",
+  "skinflint",
+  "skinniest",
+  "skippered",
+  "skylights",
+  "skyrocket",
+  "slackened",
+  "slandered",
+  "slapstick",
+  "slaughter",
+  "sleaziest",
+  "sleepiest",
+  "sleepless",
+  "sleighing",
+  "slenderer",
+  "slightest",
+  "slighting",
+  "slingshot",
+  "slithered",
+  "slivering",
+  "slobbered",
+  "sloppiest",
+  "slouching",
+  "slumbered",
+  "smelliest",
+  "smoldered",
+  "smoothest",
+  "smoothing",
+  "smothered",
+  "smugglers",
+  "smuggling",
+  "snappiest",
+  "snapshots",
+  "snatching",
+  "sneakiest",
+  "snickered",
+  "sniffling",
+  "snitching",
+  "snootiest",
+  "snorkeled",
+  "snowballs",
+  "snowdrift",
+  "snowfalls",
+  "snowflake",
+  "snowplows",
+  "snowstorm",
+  "snuggling",
+  "sociables",
+  "socialism",
+  "socialist",
+  "socialize",
+  "societies",
+  "sociology",
+  "softballs",
+  "softening",
+  "sojourned",
+  "soldering",
+  "soldiered",
+  "solemnest",
+  "solemnity",
+  "solicited",
+  "solicitor",
+  "solitaire",
+  "solutions",
+  "someplace",
+  "something",
+  "sometimes",
+  "somewhats",
+  "somewhere",
+  "sophistry",
+  "sophomore",
+  "sorcerers",
+  "sorceress",
+  "sorrowful",
+  "sorrowing",
+  "southeast",
+  "southerly",
+  "southerns",
+  "southpaws",
+  "southward",
+  "southwest",
+  "souvenirs",
+  "sovereign",
+  "spaceship",
+  "spaghetti",
+  "spangling",
+  "spankings",
+  "sparklers",
+  "sparkling",
+  "spasmodic",
+  "spattered",
+  "spearhead",
+  "spearmint",
+  "specially",
+  "specialty",
+  "specifics",
+  "specified",
+  "specifier",
+  "specifies",
+  "specimens",
+  "spectacle",
+  "spectator",
+  "speculate",
+  "speedboat",
+  "speediest",
+  "spellbind",
+  "spellings",
+  "spherical",
+  "spindlier",
+  "spineless",
+  "spinsters",
+  "spiraling",
+  "spiriting",
+  "spiritual",
+  "splashing",
+  "splatters",
+  "splinters",
+  "splinting",
+  "splitting",
+  "splurging",
+  "spokesman",
+  "spokesmen",
+  "spongiest",
+  "sponsored",
+  "spookiest",
+  "spoonfuls",
+  "spotlight",
+  "spottiest",
+  "spraining",
+  "sprawling",
+  "spreading",
+  "springier",
+  "springing",
+  "sprinkled",
+  "sprinkler",
+  "sprinkles",
+  "sprinters",
+  "sprinting",
+  "sprouting",
+  "sputtered",
+  "squabbled",
+  "squabbles",
+  "squadrons",
+  "squalider",
+  "squalling",
+  "squanders",
+  "squashing",
+  "squattest",
+  "squatting",
+  "squawking",
+  "squeakier",
+  "squeaking",
+  "squealing",
+  "squeamish",
+  "squeezing",
+  "squelched",
+  "squelches",
+  "squintest",
+  "squinting",
+  "squirming",
+  "squirrels",
+  "squirting",
+  "stability",
+  "stabilize",
+  "staggered",
+  "stagnated",
+  "stagnates",
+  "staircase",
+  "stairways",
+  "stalemate",
+  "stallions",
+  "stalwarts",
+  "stammered",
+  "stampeded",
+  "stampedes",
+  "stanchest",
+  "stanching",
+  "standards",
+  "standings",
+  "standoffs",
+  "starboard",
+  "starchier",
+  "starching",
+  "starlight",
+  "starriest",
+  "startling",
+  "statelier",
+  "statement",
+  "statesman",
+  "statesmen",
+  "stationed",
+  "statistic",
+  "statutory",
+  "staunched",
+  "stauncher",
+  "staunches",
+  "staunchly",
+  "steadfast",
+  "steadiest",
+  "steadying",
+  "steamiest",
+  "stenciled",
+  "sterilize",
+  "sternness",
+  "stewarded",
+  "stickiest",
+  "sticklers",
+  "stiffened",
+  "stiffness",
+  "stillborn",
+  "stillness",
+  "stimulant",
+  "stimulate",
+  "stingiest",
+  "stipulate",
+  "stitching",
+  "stockaded",
+  "stockades",
+  "stockiest",
+  "stockings",
+  "stockpile",
+  "stockyard",
+  "stodgiest",
+  "stolidest",
+  "stomached",
+  "stopovers",
+  "stoppages",
+  "stoppered",
+  "stopwatch",
+  "storeroom",
+  "stormiest",
+  "stowaways",
+  "straddled",
+  "straddles",
+  "straggled",
+  "straggler",
+  "straggles",
+  "straights",
+  "strainers",
+  "straining",
+  "stranding",
+  "strangely",
+  "strangers",
+  "strangest",
+  "strangled",
+  "strangles",
+  "strapping",
+  "stratagem",
+  "strategic",
+  "streaking",
+  "streamers",
+  "streaming",
+  "streetcar",
+  "strengths",
+  "strenuous",
+  "stressful",
+  "stressing",
+  "stretched",
+  "stretcher",
+  "stretches",
+  "strictest",
+  "strikings",
+  "stringent",
+  "stringier",
+  "stringing",
+  "stripping",
+  "strollers",
+  "strolling",
+  "strongest",
+  "structure",
+  "struggled",
+  "struggles",
+  "strumming",
+  "strutting",
+  "stubbiest",
+  "stuffiest",
+  "stuffings",
+  "stumbling",
+  "stupefied",
+  "stupefies",
+  "stupidest",
+  "stupidity",
+  "sturdiest",
+  "stuttered",
+  "stylistic",
+  "subdivide",
+  "subjected",
+  "subjugate",
+  "sublimest",
+  "subliming",
+  "submarine",
+  "submerged",
+  "submerges",
+  "submitted",
+  "subnormal",
+  "subscribe",
+  "subscript",
+  "subsidies",
+  "subsiding",
+  "subsidize",
+  "subsisted",
+  "substance",
+  "subsystem",
+  "subtracts",
+  "suburbans",
+  "subverted",
+  "succeeded",
+  "successes",
+  "successor",
+  "succoring",
+  "succulent",
+  "succumbed",
+  "suckering",
+  "suctioned",
+  "sufferers",
+  "suffering",
+  "sufficing",
+  "suffixing",
+  "suffocate",
+  "sugariest",
+  "suggested",
+  "suggester",
+  "suitcases",
+  "sullenest",
+  "sultriest",
+  "summaries",
+  "summarily",
+  "summarize",
+  "summering",
+  "summoning",
+  "summonsed",
+  "summonses",
+  "sumptuous",
+  "sunbathed",
+  "sunbathes",
+  "sunburned",
+  "sunflower",
+  "sunscreen",
+  "suntanned",
+  "superbest",
+  "superiors",
+  "supersede",
+  "superstar",
+  "supervise",
+  "supplants",
+  "suppliers",
+  "supplying",
+  "supported",
+  "supporter",
+  "supposing",
+  "supremacy",
+  "supremely",
+  "surcharge",
+  "surfacing",
+  "surfboard",
+  "surgeries",
+  "surmising",
+  "surmounts",
+  "surpassed",
+  "surpasses",
+  "surpluses",
+  "surprised",
+  "surprises",
+  "surrender",
+  "surrounds",
+  "surveying",
+  "surveyors",
+  "survivals",
+  "surviving",
+  "survivors",
+  "suspected",
+  "suspended",
+  "suspender",
+  "suspicion",
+  "sustained",
+  "swaggered",
+  "swaggerer",
+  "swallowed",
+  "swampiest",
+  "swarthier",
+  "sweepings",
+  "sweetened",
+  "sweetness",
+  "swellings",
+  "swindlers",
+  "swindling",
+  "switching",
+  "swiveling",
+  "swordfish",
+  "syllables",
+  "symbolism",
+  "symbolize",
+  "symmetric",
+  "symphonic",
+  "synagogue",
+  "syndicate",
+  "syndromes",
+  "syntactic",
+  "syntheses",
+  "synthesis",
+  "synthetic",
+  "syringing",
+  "tabulated",
+  "tabulates",
+  "tactfully",
+  "tailgated",
+  "tailgates",
+  "taillight",
+  "tailoring",
+  "tailspins",
+  "talismans",
+  "talkative",
+  "tampering",
+  "tangerine",
+  "tangibles",
+  "tantalize",
+  "tarantula",
+  "tardiness",
+  "targeting",
+  "tarnished",
+  "tarnishes",
+  "tarpaulin",
+  "tasseling",
+  "tasteless",
+  "tattooing",
+  "tautology",
+  "tawdriest",
+  "taxpayers",
+  "teachings",
+  "teammates",
+  "teamsters",
+  "teardrops",
+  "teaspoons",
+  "technical",
+  "technique",
+  "tediously",
+  "teenagers",
+  "teetering",
+  "telegrams",
+  "telegraph",
+  "telepathy",
+  "telephone",
+  "telescope",
+  "televised",
+  "televises",
+  "telltales",
+  "temperate",
+  "tempering",
+  "temporary",
+  "tenacious",
+  "tenancies",
+  "tenanting",
+  "tenderest",
+  "tendering",
+  "tenderize",
+  "tenements",
+  "tentacles",
+  "tentative",
+  "terminals",
+  "terminate",
+  "terracing",
+  "terrified",
+  "terrifies",
+  "territory",
+  "terrorism",
+  "terrorist",
+  "terrorize",
+  "terseness",
+  "testament",
+  "testicles",
+  "testified",
+  "testifies",
+  "testimony",
+  "tethering",
+  "textbooks",
+  "textually",
+  "texturing",
+  "thankless",
+  "thatching",
+  "theoretic",
+  "theorists",
+  "theorized",
+  "theorizes",
+  "therapies",
+  "therapist",
+  "therefore",
+  "thereupon",
+  "thesaurus",
+  "thickened",
+  "thickness",
+  "thirstier",
+  "thirsting",
+  "thirteens",
+  "thirtieth",
+  "thorniest",
+  "thousands",
+  "thrashing",
+  "threading",
+  "threatens",
+  "threshers",
+  "threshing",
+  "threshold",
+  "thriftier",
+  "thrillers",
+  "thrilling",
+  "throbbing",
+  "thronging",
+  "throttled",
+  "throttles",
+  "throwaway",
+  "throwback",
+  "thrusting",
+  "thumbtack",
+  "thundered",
+  "thwarting",
+  "ticketing",
+  "tightened",
+  "tightness",
+  "tightrope",
+  "tightwads",
+  "timbering",
+  "timeliest",
+  "timescale",
+  "timetable",
+  "tinkering",
+  "tinseling",
+  "tiptoeing",
+  "titillate",
+  "tittering",
+  "toadstool",
+  "toboggans",
+  "toileting",
+  "tolerable",
+  "tolerably",
+  "tolerance",
+  "tolerated",
+  "tolerates",
+  "tomahawks",
+  "tombstone",
+  "tomorrows",
+  "toothache",
+  "toothpick",
+  "tormented",
+  "tormentor",
+  "tornadoes",
+  "torpedoed",
+  "torpedoes",
+  "tortillas",
+  "tortoises",
+  "torturing",
+  "tottering",
+  "touchdown",
+  "touchiest",
+  "touchings",
+  "toughened",
+  "toughness",
+  "trademark",
+  "tradition",
+  "tragedies",
+  "trampling",
+  "transacts",
+  "transcend",
+  "transfers",
+  "transform",
+  "transient",
+  "transited",
+  "translate",
+  "transmits",
+  "transpire",
+  "transport",
+  "transpose",
+  "trapezoid",
+  "trappings",
+  "trashiest",
+  "traumatic",
+  "travelers",
+  "traveling",
+  "traversed",
+  "traverses",
+  "treachery",
+  "treadmill",
+  "treasured",
+  "treasurer",
+  "treasures",
+  "treatises",
+  "treatment",
+  "trellised",
+  "trellises",
+  "trembling",
+  "trenching",
+  "trendiest",
+  "triangles",
+  "tribunals",
+  "tributary",
+  "trickiest",
+  "trickling",
+  "trickster",
+  "tricycles",
+  "triggered",
+  "trillions",
+  "trilogies",
+  "trimester",
+  "triumphed",
+  "trivially",
+  "trombones",
+  "troubling",
+  "trouncing",
+  "troweling",
+  "truanting",
+  "trumpeted",
+  "truncated",
+  "truncates",
+  "trustiest",
+  "tunneling",
+  "turbulent",
+  "turnovers",
+  "turnpikes",
+  "turnstile",
+  "turntable",
+  "turquoise",
+  "tutorials",
+  "twentieth",
+  "twiddling",
+  "twinkling",
+  "twitching",
+  "twittered",
+  "typically",
+  "typifying",
+  "tyrannies",
+  "tyrannize",
+  "ultimatum",
+  "umbrellas",
+  "unaltered",
+  "unanimity",
+  "unanimous",
+  "unblocked",
+  "unburdens",
+  "uncannier",
+  "unceasing",
+  "uncertain",
+  "unchanged",
+  "uncleaner",
+  "uncovered",
+  "undamaged",
+  "undaunted",
+  "undecided",
+  "undefined",
+  "undercuts",
+  "underdogs",
+  "underflow",
+  "underfoot",
+  "undergoes",
+  "undergone",
+  "underlain",
+  "underlays",
+  "underlies",
+  "underline",
+  "undermine",
+  "underpass",
+  "underrate",
+  "underside",
+  "undertake",
+  "undertone",
+  "undertook",
+  "undertows",
+  "underwear",
+  "underwent",
+  "undoubted",
+  "undressed",
+  "undresses",
+  "unearthed",
+  "unearthly",
+  "uneasiest",
+  "unequaled",
+  "unethical",
+  "unfailing",
+  "unfairest",
+  "unfastens",
+  "unfeeling",
+  "unfitting",
+  "unfolding",
+  "unfounded",
+  "unfurling",
+  "ungodlier",
+  "unhappier",
+  "unhappily",
+  "unhealthy",
+  "unhelpful",
+  "unhooking",
+  "uniformed",
+  "uniformly",
+  "unionized",
+  "unionizes",
+  "universal",
+  "universes",
+  "unkindest",
+  "unlabeled",
+  "unleashed",
+  "unleashes",
+  "unlimited",
+  "unloading",
+  "unlocking",
+  "unluckier",
+  "unmanning",
+  "unmarried",
+  "unmasking",
+  "unnatural",
+  "unnerving",
+  "unnoticed",
+  "unpacking",
+  "unpopular",
+  "unraveled",
+  "unrelated",
+  "unrivaled",
+  "unruffled",
+  "unruliest",
+  "unscathed",
+  "unscrewed",
+  "unseating",
+  "unsettled",
+  "unsettles",
+  "unsightly",
+  "unskilled",
+  "unsounder",
+  "untangled",
+  "untangles",
+  "untenable",
+  "untidiest",
+  "untouched",
+  "untrained",
+  "unusually",
+  "unveiling",
+  "unwelcome",
+  "unwilling",
+  "unwinding",
+  "unwrapped",
+  "unwritten",
+  "upgrading",
+  "upheavals",
+  "upholding",
+  "upholster",
+  "uplifting",
+  "uppermost",
+  "uprisings",
+  "uprooting",
+  "upsetting",
+  "upstarted",
+  "upturning",
+  "urinating",
+  "uselessly",
+  "utilities",
+  "utilizing",
+  "utterance",
+  "vacancies",
+  "vacations",
+  "vaccinate",
+  "vacillate",
+  "vacuuming",
+  "vagabonds",
+  "vagueness",
+  "valentine",
+  "validated",
+  "validates",
+  "valuables",
+  "valueless",
+  "vandalism",
+  "vandalize",
+  "vanguards",
+  "vanishing",
+  "vaporized",
+  "vaporizes",
+  "variables",
+  "variation",
+  "varieties",
+  "variously",
+  "varnished",
+  "varnishes",
+  "varsities",
+  "vegetable",
+  "veneering",
+  "venerable",
+  "venerated",
+  "venerates",
+  "vengeance",
+  "ventilate",
+  "ventricle",
+  "venturing",
+  "verbosity",
+  "verifying",
+  "veritable",
+  "versatile",
+  "vertebrae",
+  "verticals",
+  "vestibule",
+  "vestments",
+  "vexations",
+  "viability",
+  "vibrating",
+  "vibration",
+  "vicarious",
+  "viciously",
+  "victimize",
+  "victories",
+  "videotape",
+  "viewpoint",
+  "vigilance",
+  "vigilante",
+  "vilifying",
+  "villagers",
+  "vindicate",
+  "vineyards",
+  "violating",
+  "violation",
+  "violently",
+  "virginity",
+  "virtually",
+  "visionary",
+  "visioning",
+  "visualize",
+  "vitriolic",
+  "vivacious",
+  "vocalists",
+  "vocations",
+  "volcanoes",
+  "volleying",
+  "voluntary",
+  "volunteer",
+  "voodooing",
+  "voracious",
+  "vulgarest",
+  "vulgarity",
+  "waistline",
+  "walloping",
+  "wallowing",
+  "wallpaper",
+  "wanderers",
+  "wandering",
+  "wantoning",
+  "wardrobes",
+  "warehouse",
+  "warranted",
+  "washables",
+  "washcloth",
+  "washrooms",
+  "wasteland",
+  "watchdogs",
+  "watchword",
+  "waterfall",
+  "wateriest",
+  "watermark",
+  "watershed",
+  "waterways",
+  "waylaying",
+  "weakening",
+  "weaklings",
+  "wealthier",
+  "weariness",
+  "wearisome",
+  "weaseling",
+  "weathered",
+  "weekended",
+  "weightier",
+  "weighting",
+  "weirdness",
+  "welcoming",
+  "weltering",
+  "wheedling",
+  "whereupon",
+  "whichever",
+  "whimpered",
+  "whimsical",
+  "whinnying",
+  "whirlpool",
+  "whirlwind",
+  "whiskered",
+  "whispered",
+  "whistling",
+  "whiteness",
+  "whitening",
+  "whitewash",
+  "whittling",
+  "wholesale",
+  "wholesome",
+  "wickedest",
+  "wildfires",
+  "willfully",
+  "willingly",
+  "willpower",
+  "windfalls",
+  "windmills",
+  "windowing",
+  "windpipes",
+  "winsomest",
+  "wintering",
+  "wintriest",
+  "wisecrack",
+  "wishbones",
+  "wistfully",
+  "withdrawn",
+  "withdraws",
+  "withering",
+  "withholds",
+  "withstand",
+  "withstood",
+  "witnessed",
+  "witnesses",
+  "witticism",
+  "wobbliest",
+  "womanhood",
+  "womankind",
+  "wonderful",
+  "wondering",
+  "woodchuck",
+  "woodenest",
+  "woodlands",
+  "woodwinds",
+  "woolliest",
+  "workbench",
+  "workbooks",
+  "workforce",
+  "workplace",
+  "workshops",
+  "worldlier",
+  "worldwide",
+  "wormholes",
+  "worrisome",
+  "worsening",
+  "worshiped",
+  "worshiper",
+  "worthiest",
+  "worthless",
+  "wranglers",
+  "wrangling",
+  "wrappings",
+  "wreathing",
+  "wrenching",
+  "wrestlers",
+  "wrestling",
+  "wriggling",
+  "wrinkling",
+  "wrongdoer",
+  "xylophone",
+  "yardstick",
+  "yearlings",
+  "yearnings",
+  "yellowest",
+  "yellowing",
+  "yesterday",
+  "youngster",
+  "zigzagged",
+  "zippering",
+  "zoologist",
+  "zucchinis"
+];
+
+/**
+ * Other accepted 9-letter guesses
+ * Total: 3568 words
+ */
+export const VALID_GUESSES_LIST = [
+  "aardvarks",
+  "abasement",
+  "abatement",
+  "abattoirs",
+  "abductees",
+  "abduction",
+  "abductors",
+  "ablatives",
+  "ablutions",
+  "abnegated",
+  "abnegates",
+  "abominate",
+  "abrasions",
+  "abrogated",
+  "abrogates",
+  "abscissas",
+  "abstainer",
+  "abstinent",
+  "abusively",
+  "abutments",
+  "abysmally",
+  "accession",
+  "accretion",
+  "acetylene",
+  "achievers",
+  "acidified",
+  "acidifies",
+  "acidulous",
+  "acrostics",
+  "actualize",
+  "actuarial",
+  "actuaries",
+  "actuating",
+  "actuators",
+  "acuteness",
+  "adamantly",
+  "adenoidal",
+  "adeptness",
+  "adiabatic",
+  "adjudging",
+  "adjusters",
+  "adjutants",
+  "admiralty",
+  "admixture",
+  "adoringly",
+  "adulating",
+  "adulterer",
+  "adumbrate",
+  "adverting",
+  "advisedly",
+  "aerialist",
+  "aesthetes",
+  "afforests",
+  "aftercare",
+  "afterglow",
+  "afterword",
+  "aggrieved",
+  "aggrieves",
+  "agrarians",
+  "airlifted",
+  "airworthy",
+  "alabaster",
+  "albacores",
+  "albatross",
+  "alchemist",
+  "alertness",
+  "alienable",
+  "alkaloids",
+  "alleluias",
+  "allergens",
+  "allergist",
+  "alleyways",
+  "alluviums",
+  "aloofness",
+  "altimeter",
+  "altruists",
+  "amaranths",
+  "amaryllis",
+  "ambergris",
+  "amendable",
+  "amidships",
+  "amnesiacs",
+  "amorality",
+  "amorously",
+  "amortized",
+  "amortizes",
+  "anacondas",
+  "anaerobic",
+  "analgesia",
+  "analogues",
+  "analyzers",
+  "anathemas",
+  "anatomist",
+  "anchorite",
+  "anchorman",
+  "anchormen",
+  "ancillary",
+  "anecdotal",
+  "aneurysms",
+  "angleworm",
+  "angstroms",
+  "animators",
+  "animistic",
+  "annealing",
+  "anopheles",
+  "anorexics",
+  "antarctic",
+  "antedated",
+  "antedates",
+  "anterooms",
+  "anticking",
+  "antiknock",
+  "antipasti",
+  "antipasto",
+  "antipodes",
+  "antiquary",
+  "antitoxin",
+  "antitrust",
+  "antiviral",
+  "antivirus",
+  "aperitifs",
+  "aphelions",
+  "apologias",
+  "apologist",
+  "apostates",
+  "apostolic",
+  "appeasers",
+  "appellant",
+  "appellate",
+  "appertain",
+  "applejack",
+  "apportion",
+  "appraiser",
+  "apprising",
+  "aquanauts",
+  "aquaplane",
+  "arabesque",
+  "arachnids",
+  "arboretum",
+  "arbutuses",
+  "archaisms",
+  "archangel",
+  "archdukes",
+  "archenemy",
+  "archetype",
+  "archivist",
+  "armatures",
+  "arpeggios",
+  "arrangers",
+  "arrogated",
+  "arrogates",
+  "arrowhead",
+  "arrowroot",
+  "arsonists",
+  "arthropod",
+  "artificer",
+  "artlessly",
+  "ascendant",
+  "asexually",
+  "ashamedly",
+  "asininity",
+  "aspartame",
+  "aspirated",
+  "aspirates",
+  "assiduous",
+  "assonance",
+  "assuaging",
+  "assuredly",
+  "asthmatic",
+  "astrakhan",
+  "atavistic",
+  "atomizers",
+  "atonality",
+  "atrophied",
+  "atrophies",
+  "attackers",
+  "attenuate",
+  "attrition",
+  "austerely",
+  "automaton",
+  "autopilot",
+  "avocation",
+  "avoidably",
+  "avuncular",
+  "awesomely",
+  "awestruck",
+  "awfulness",
+  "ayatollah",
+  "babushkas",
+  "bacchanal",
+  "backaches",
+  "backbiter",
+  "backbites",
+  "backboard",
+  "backdated",
+  "backdates",
+  "backdrops",
+  "backfield",
+  "backpedal",
+  "backrests",
+  "backsides",
+  "backslide",
+  "backstops",
+  "backstory",
+  "backwater",
+  "backyards",
+  "badmouths",
+  "bagatelle",
+  "bagginess",
+  "bailiwick",
+  "balalaika",
+  "balefully",
+  "balladeer",
+  "ballistic",
+  "ballparks",
+  "ballpoint",
+  "ballsiest",
+  "ballyhoos",
+  "balminess",
+  "balusters",
+  "bandoleer",
+  "banjoists",
+  "bankbooks",
+  "bankrolls",
+  "baptismal",
+  "barbarism",
+  "barbarity",
+  "barefaced",
+  "barnstorm",
+  "barracuda",
+  "baseboard",
+  "baselines",
+  "bashfully",
+  "basilicas",
+  "bassinets",
+  "bathhouse",
+  "bathrobes",
+  "battening",
+  "bawdiness",
+  "bazillion",
+  "beachhead",
+  "bearskins",
+  "beastlier",
+  "beatified",
+  "beatifies",
+  "beatitude",
+  "beauteous",
+  "becalming",
+  "bedazzled",
+  "bedazzles",
+  "bedecking",
+  "bedeviled",
+  "bedfellow",
+  "bedraggle",
+  "bedsteads",
+  "beechnuts",
+  "beefsteak",
+  "beekeeper",
+  "befogging",
+  "befouling",
+  "befuddled",
+  "befuddles",
+  "begetting",
+  "behemoths",
+  "beholders",
+  "behooving",
+  "beleaguer",
+  "bellicose",
+  "bellyache",
+  "bellyfuls",
+  "benchmark",
+  "benefices",
+  "benumbing",
+  "beryllium",
+  "besiegers",
+  "besotting",
+  "bestirred",
+  "bestowals",
+  "bestrides",
+  "bethought",
+  "betokened",
+  "betrayers",
+  "betrothed",
+  "bewailing",
+  "biathlons",
+  "bicameral",
+  "bicuspids",
+  "bicyclist",
+  "bifurcate",
+  "bigmouths",
+  "bigotries",
+  "billeting",
+  "billionth",
+  "bimonthly",
+  "binderies",
+  "binnacles",
+  "binocular",
+  "binomials",
+  "biopsying",
+  "biorhythm",
+  "biosphere",
+  "bipartite",
+  "birdbaths",
+  "birdhouse",
+  "birdieing",
+  "birthrate",
+  "bisection",
+  "bisectors",
+  "bishopric",
+  "bitchiest",
+  "bizarrely",
+  "blackball",
+  "blackness",
+  "blandness",
+  "blankness",
+  "blarneyed",
+  "blastoffs",
+  "blazoning",
+  "bleachers",
+  "bleakness",
+  "blenching",
+  "blessedly",
+  "blindside",
+  "blockages",
+  "blondness",
+  "bloodbath",
+  "bloodless",
+  "blotchier",
+  "blowziest",
+  "bluenoses",
+  "blunderer",
+  "blurriest",
+  "boardroom",
+  "boatswain",
+  "bobolinks",
+  "bobwhites",
+  "bohemians",
+  "bombastic",
+  "bombshell",
+  "boneheads",
+  "boogieing",
+  "bookmaker",
+  "boondocks",
+  "boorishly",
+  "bootblack",
+  "bordellos",
+  "borrowers",
+  "bossiness",
+  "bouffants",
+  "bouillons",
+  "bounciest",
+  "bounteous",
+  "bowsprits",
+  "bowstring",
+  "brashness",
+  "brattiest",
+  "breakages",
+  "breathier",
+  "brickbats",
+  "briefings",
+  "briefness",
+  "briquette",
+  "briskness",
+  "bristlier",
+  "broadband",
+  "broadloom",
+  "broadness",
+  "brokerage",
+  "bronchial",
+  "brouhahas",
+  "brownouts",
+  "brushwood",
+  "brusquely",
+  "brutalize",
+  "brutishly",
+  "buccaneer",
+  "buckboard",
+  "bucketful",
+  "buckskins",
+  "buckteeth",
+  "bucktooth",
+  "buckwheat",
+  "buckyball",
+  "budgetary",
+  "bulkheads",
+  "bulkiness",
+  "bullfinch",
+  "bullhorns",
+  "bullrings",
+  "bullshits",
+  "bulrushes",
+  "bumptious",
+  "bungholes",
+  "bunkhouse",
+  "buoyantly",
+  "burgeoned",
+  "burlesque",
+  "burliness",
+  "burnooses",
+  "bushiness",
+  "bushwhack",
+  "butterfat",
+  "butterier",
+  "butteries",
+  "butternut",
+  "buzzkills",
+  "buzzwords",
+  "byproduct",
+  "cablecast",
+  "cablegram",
+  "cacophony",
+  "calcified",
+  "calcifies",
+  "calcining",
+  "calipered",
+  "caliphate",
+  "calliopes",
+  "callously",
+  "callowest",
+  "calorific",
+  "calumnies",
+  "cambering",
+  "camcorder",
+  "camellias",
+  "cameraman",
+  "cameramen",
+  "camisoles",
+  "campanile",
+  "campfires",
+  "campsites",
+  "camshafts",
+  "cancerous",
+  "cankerous",
+  "canniness",
+  "cannonade",
+  "canoeists",
+  "canonized",
+  "canonizes",
+  "canticles",
+  "capacious",
+  "caparison",
+  "captaincy",
+  "carapaces",
+  "carbonate",
+  "carbuncle",
+  "carcinoma",
+  "cardsharp",
+  "careening",
+  "caregiver",
+  "carillons",
+  "carjacked",
+  "carjacker",
+  "carnelian",
+  "carousals",
+  "carousels",
+  "carousers",
+  "carpetbag",
+  "carryalls",
+  "caryatids",
+  "caseloads",
+  "casements",
+  "castanets",
+  "casuistry",
+  "catacombs",
+  "catalepsy",
+  "cataloger",
+  "catalysis",
+  "catalysts",
+  "catalytic",
+  "catalyzed",
+  "catalyzes",
+  "catamaran",
+  "catatonic",
+  "catchalls",
+  "catchword",
+  "catechize",
+  "caterings",
+  "caterwaul",
+  "catharses",
+  "catharsis",
+  "cathartic",
+  "catheters",
+  "cattiness",
+  "cattleman",
+  "cattlemen",
+  "cauldrons",
+  "causation",
+  "causative",
+  "causeless",
+  "cauterize",
+  "cavalcade",
+  "cavernous",
+  "celebrant",
+  "cellulite",
+  "celluloid",
+  "cenotaphs",
+  "centenary",
+  "centigram",
+  "centrists",
+  "centurion",
+  "cerebrums",
+  "certitude",
+  "cesareans",
+  "cesspools",
+  "cetaceans",
+  "chaffinch",
+  "chainsaws",
+  "chairlift",
+  "chamomile",
+  "chanciest",
+  "chandlers",
+  "chaparral",
+  "charbroil",
+  "charwoman",
+  "charwomen",
+  "chasubles",
+  "chatterer",
+  "checkbook",
+  "checkered",
+  "checklist",
+  "checkmate",
+  "checkouts",
+  "checkroom",
+  "cheekbone",
+  "cheekiest",
+  "cheerless",
+  "cheesiest",
+  "chicanery",
+  "chickadee",
+  "chickpeas",
+  "chickweed",
+  "chicories",
+  "chilblain",
+  "childcare",
+  "childless",
+  "chillings",
+  "chinstrap",
+  "chintzier",
+  "chiropody",
+  "chirruped",
+  "chiselers",
+  "chitchats",
+  "chlorides",
+  "chopstick",
+  "chorister",
+  "chromatic",
+  "chrysalis",
+  "chuckhole",
+  "churchman",
+  "churchmen",
+  "ciabattas",
+  "cigarillo",
+  "cinchonas",
+  "cinctures",
+  "cinematic",
+  "circadian",
+  "cirrhosis",
+  "citizenry",
+  "claimants",
+  "clambakes",
+  "clamorous",
+  "clampdown",
+  "clapboard",
+  "clarioned",
+  "classiest",
+  "classless",
+  "clavicles",
+  "cleanings",
+  "cleanness",
+  "clickable",
+  "clinchers",
+  "clingiest",
+  "clinician",
+  "cloakroom",
+  "clobbered",
+  "closeouts",
+  "clothiers",
+  "cloudless",
+  "clunkiest",
+  "coagulant",
+  "coauthors",
+  "cockatoos",
+  "cockerels",
+  "cockfight",
+  "cockiness",
+  "cockscomb",
+  "codfishes",
+  "codifying",
+  "coffeepot",
+  "cogitated",
+  "cogitates",
+  "cognition",
+  "cognizant",
+  "cognomens",
+  "cogwheels",
+  "cohabited",
+  "coiffured",
+  "coiffures",
+  "coliseums",
+  "collegian",
+  "collocate",
+  "colluding",
+  "collusive",
+  "colonists",
+  "colonizer",
+  "colonnade",
+  "colorfast",
+  "columbine",
+  "columnist",
+  "combative",
+  "comebacks",
+  "comedowns",
+  "comforter",
+  "comically",
+  "commingle",
+  "commissar",
+  "committal",
+  "commoners",
+  "compactly",
+  "compactor",
+  "comported",
+  "concavity",
+  "concierge",
+  "conclaves",
+  "concubine",
+  "condenser",
+  "condoling",
+  "conducing",
+  "confabbed",
+  "confessor",
+  "confluent",
+  "confuting",
+  "congruity",
+  "congruous",
+  "conjoined",
+  "conjurers",
+  "connivers",
+  "conniving",
+  "connubial",
+  "conscript",
+  "consortia",
+  "constable",
+  "contrails",
+  "contralto",
+  "contumely",
+  "contusing",
+  "contusion",
+  "conundrum",
+  "convexity",
+  "conveyors",
+  "convivial",
+  "convoking",
+  "cookeries",
+  "coopering",
+  "copulated",
+  "copulates",
+  "coquetted",
+  "coquettes",
+  "corduroys",
+  "coriander",
+  "cormorant",
+  "cornballs",
+  "cornbread",
+  "cornrowed",
+  "cornstalk",
+  "corporeal",
+  "corrugate",
+  "corruptly",
+  "cortisone",
+  "coruscate",
+  "cosigners",
+  "cosigning",
+  "cosmogony",
+  "cosponsor",
+  "costarred",
+  "cotillion",
+  "cotyledon",
+  "countably",
+  "couplings",
+  "courtesan",
+  "courtiers",
+  "courtlier",
+  "coveralls",
+  "coverings",
+  "coverlets",
+  "coworkers",
+  "coxswains",
+  "crackdown",
+  "crankcase",
+  "crappiest",
+  "crassness",
+  "credenzas",
+  "credulity",
+  "crematory",
+  "creosoted",
+  "creosotes",
+  "cricketer",
+  "crinklier",
+  "crinoline",
+  "crispiest",
+  "crispness",
+  "croissant",
+  "crookedly",
+  "croquette",
+  "crossbars",
+  "crossbeam",
+  "crossbred",
+  "crossfire",
+  "crossness",
+  "crossover",
+  "crosstown",
+  "crosswise",
+  "crotchets",
+  "crotchety",
+  "croupiers",
+  "croupiest",
+  "crowdfund",
+  "crucibles",
+  "cruciform",
+  "cruddiest",
+  "crudeness",
+  "crudities",
+  "crumbiest",
+  "crunchier",
+  "cubbyhole",
+  "cuckolded",
+  "cuddliest",
+  "cudgeling",
+  "cuneiform",
+  "curatives",
+  "curlicued",
+  "curlicues",
+  "curliness",
+  "currycomb",
+  "cursorily",
+  "custodial",
+  "cutesiest",
+  "cutlasses",
+  "cyberpunk",
+  "cyclamens",
+  "cyclotron",
+  "cynically",
+  "cynosures",
+  "cytoplasm",
+  "dactylics",
+  "daiquiris",
+  "dairymaid",
+  "dalliance",
+  "dalmatian",
+  "damasking",
+  "darkrooms",
+  "darnedest",
+  "dartboard",
+  "dashingly",
+  "datelined",
+  "datelines",
+  "davenport",
+  "daylights",
+  "deaconess",
+  "deadbeats",
+  "deadbolts",
+  "deafening",
+  "deathblow",
+  "deathless",
+  "deathlike",
+  "deathtrap",
+  "debarking",
+  "debarment",
+  "debarring",
+  "debauched",
+  "debauches",
+  "debenture",
+  "debuggers",
+  "decamping",
+  "decanting",
+  "decathlon",
+  "decedents",
+  "deceivers",
+  "deckhands",
+  "declaimed",
+  "declivity",
+  "deducible",
+  "defaulter",
+  "defeatism",
+  "defection",
+  "defectors",
+  "deferment",
+  "deflector",
+  "defoggers",
+  "defoliant",
+  "defoliate",
+  "deforests",
+  "defraying",
+  "defroster",
+  "delineate",
+  "deliverer",
+  "demagogic",
+  "demarcate",
+  "demijohns",
+  "demitasse",
+  "demurring",
+  "denatured",
+  "denatures",
+  "dendrites",
+  "denseness",
+  "deplaning",
+  "depletion",
+  "deploying",
+  "depositor",
+  "deprogram",
+  "deputized",
+  "deputizes",
+  "derivable",
+  "derogated",
+  "derogates",
+  "derringer",
+  "dervishes",
+  "descanted",
+  "descender",
+  "descrying",
+  "desertion",
+  "desiccate",
+  "desirably",
+  "desperado",
+  "despoiled",
+  "despotism",
+  "destructs",
+  "desultory",
+  "detainees",
+  "detractor",
+  "deuterium",
+  "devaluing",
+  "devilment",
+  "devilries",
+  "deviously",
+  "devotedly",
+  "diacritic",
+  "dialectal",
+  "dialectic",
+  "diastolic",
+  "diatribes",
+  "dichotomy",
+  "dickering",
+  "dietetics",
+  "dietitian",
+  "diffident",
+  "diffusely",
+  "digitalis",
+  "dimwitted",
+  "dinginess",
+  "diocesans",
+  "dipsticks",
+  "dirigible",
+  "dirtiness",
+  "disabused",
+  "disabuses",
+  "disaffect",
+  "disavowal",
+  "disbarred",
+  "discomfit",
+  "disembody",
+  "disgorged",
+  "disgorges",
+  "dishcloth",
+  "dishevels",
+  "dishtowel",
+  "dishwater",
+  "disinters",
+  "diskettes",
+  "disoblige",
+  "disorient",
+  "dispirits",
+  "disported",
+  "disputant",
+  "disrobing",
+  "dissemble",
+  "dissonant",
+  "distemper",
+  "disunited",
+  "disunites",
+  "diuretics",
+  "diurnally",
+  "diversely",
+  "docketing",
+  "dockyards",
+  "doctrinal",
+  "docudrama",
+  "doddering",
+  "dogfights",
+  "dogfishes",
+  "doggonest",
+  "doggoning",
+  "dogmatism",
+  "dogmatist",
+  "dollhouse",
+  "dolloping",
+  "domineers",
+  "doohickey",
+  "doorbells",
+  "doorknobs",
+  "doubloons",
+  "doughiest",
+  "doughtier",
+  "dovetails",
+  "dowdiness",
+  "downbeats",
+  "downloads",
+  "downplays",
+  "downscale",
+  "downsized",
+  "downsizes",
+  "downstage",
+  "downstate",
+  "downswing",
+  "downturns",
+  "dragooned",
+  "drainpipe",
+  "dramatics",
+  "dreamland",
+  "dreamless",
+  "dreamlike",
+  "dribblers",
+  "drinkings",
+  "drippings",
+  "drollness",
+  "dromedary",
+  "droopiest",
+  "drownings",
+  "drubbings",
+  "duckbills",
+  "ductility",
+  "dulcimers",
+  "dungarees",
+  "dustiness",
+  "dyslexics",
+  "dyspepsia",
+  "dyspeptic",
+  "earliness",
+  "earphones",
+  "earthling",
+  "earthward",
+  "earthwork",
+  "eastbound",
+  "easterner",
+  "eastwards",
+  "ebullient",
+  "eclectics",
+  "edelweiss",
+  "edibility",
+  "effluents",
+  "effulgent",
+  "effusions",
+  "eggbeater",
+  "eggshells",
+  "eglantine",
+  "egotistic",
+  "egregious",
+  "eiderdown",
+  "elbowroom",
+  "eldercare",
+  "elocution",
+  "elusively",
+  "emaciated",
+  "emaciates",
+  "emanation",
+  "embalmers",
+  "embattled",
+  "embezzler",
+  "emblazons",
+  "emboldens",
+  "embolisms",
+  "embroiled",
+  "emollient",
+  "emolument",
+  "empathize",
+  "enamoring",
+  "encamping",
+  "enchanter",
+  "enchilada",
+  "encrusted",
+  "endocrine",
+  "endorsers",
+  "endurable",
+  "energized",
+  "energizer",
+  "energizes",
+  "enervated",
+  "enervates",
+  "enfeebled",
+  "enfeebles",
+  "enfolding",
+  "enforcers",
+  "engorging",
+  "enjoining",
+  "enlargers",
+  "enlistees",
+  "enmeshing",
+  "ennobling",
+  "enrapture",
+  "ensconced",
+  "ensconces",
+  "enshrouds",
+  "ensnaring",
+  "enthroned",
+  "enthrones",
+  "enthusing",
+  "entombing",
+  "entourage",
+  "entryways",
+  "envisions",
+  "epicenter",
+  "epicurean",
+  "epidermal",
+  "episcopal",
+  "epitomize",
+  "equalizer",
+  "equipages",
+  "equipoise",
+  "equitably",
+  "erectness",
+  "erogenous",
+  "eroticism",
+  "eruditely",
+  "erudition",
+  "escapists",
+  "escaroles",
+  "eschewing",
+  "esplanade",
+  "espousing",
+  "espressos",
+  "essayists",
+  "estimable",
+  "estimator",
+  "estranged",
+  "estranges",
+  "estuaries",
+  "ethnicity",
+  "ethnology",
+  "eucalypti",
+  "evasively",
+  "eventuate",
+  "everglade",
+  "evildoers",
+  "evocation",
+  "exactness",
+  "excavator",
+  "exchequer",
+  "excisions",
+  "excitedly",
+  "excoriate",
+  "excretion",
+  "excretory",
+  "exculpate",
+  "execrable",
+  "execrated",
+  "execrates",
+  "executrix",
+  "exemplars",
+  "exhibitor",
+  "exoplanet",
+  "exorcised",
+  "exorcises",
+  "exorcisms",
+  "exorcists",
+  "expatiate",
+  "expediter",
+  "expiating",
+  "expiation",
+  "explicate",
+  "exploiter",
+  "expunging",
+  "expurgate",
+  "extempore",
+  "extenuate",
+  "extirpate",
+  "extractor",
+  "extremism",
+  "extrinsic",
+  "extruding",
+  "extrusion",
+  "eyeliners",
+  "eyepieces",
+  "eyestrain",
+  "factional",
+  "factorize",
+  "factotums",
+  "faintness",
+  "fairyland",
+  "falconers",
+  "fallowing",
+  "falseness",
+  "famishing",
+  "fanciness",
+  "fantasize",
+  "farmhands",
+  "farmhouse",
+  "farmyards",
+  "farrowing",
+  "farthings",
+  "fatalists",
+  "fatefully",
+  "fatuously",
+  "fecundity",
+  "federally",
+  "federated",
+  "federates",
+  "feelingly",
+  "feistiest",
+  "felonious",
+  "ferryboat",
+  "festively",
+  "fetishism",
+  "fetishist",
+  "fiduciary",
+  "fieldwork",
+  "fieriness",
+  "figurines",
+  "filigreed",
+  "filigrees",
+  "filliping",
+  "filmmaker",
+  "filmstrip",
+  "filtrated",
+  "filtrates",
+  "finaglers",
+  "finagling",
+  "finishers",
+  "fireballs",
+  "firebombs",
+  "firebrand",
+  "firebreak",
+  "firefight",
+  "firehouse",
+  "fireplugs",
+  "firepower",
+  "firestorm",
+  "firetraps",
+  "firewalls",
+  "firewater",
+  "firmament",
+  "firstborn",
+  "fishbowls",
+  "fishhooks",
+  "fishtails",
+  "fishwives",
+  "fittingly",
+  "fixatives",
+  "flagellum",
+  "flagstaff",
+  "flakiness",
+  "flambeing",
+  "flamencos",
+  "flashbulb",
+  "flashguns",
+  "flatboats",
+  "flatfoots",
+  "flatirons",
+  "flatulent",
+  "flavorful",
+  "fleetness",
+  "fleshlier",
+  "flimflams",
+  "flintiest",
+  "flintlock",
+  "flippancy",
+  "floggings",
+  "floodgate",
+  "flophouse",
+  "flotation",
+  "flowerbed",
+  "flowerpot",
+  "flummoxed",
+  "flummoxes",
+  "fluoresce",
+  "fluorides",
+  "flyleaves",
+  "flypapers",
+  "flyspecks",
+  "flyweight",
+  "flywheels",
+  "fogginess",
+  "follicles",
+  "fooleries",
+  "footfalls",
+  "footloose",
+  "footrests",
+  "forebears",
+  "foreclose",
+  "forehands",
+  "forelocks",
+  "foremasts",
+  "forenames",
+  "forenoons",
+  "foresails",
+  "foresters",
+  "forewoman",
+  "forewomen",
+  "forgather",
+  "forklifts",
+  "forlornly",
+  "formalism",
+  "formulaic",
+  "fornicate",
+  "forsythia",
+  "fourscore",
+  "foursomes",
+  "foxgloves",
+  "foxhounds",
+  "fractious",
+  "frankness",
+  "frazzling",
+  "freakiest",
+  "freebased",
+  "freebases",
+  "freeholds",
+  "freeloads",
+  "freestyle",
+  "freewheel",
+  "fricassee",
+  "frizzling",
+  "frontally",
+  "frowziest",
+  "fruitcake",
+  "frumpiest",
+  "fullbacks",
+  "fulminate",
+  "fumigator",
+  "funicular",
+  "funniness",
+  "furbished",
+  "furbishes",
+  "fusillade",
+  "fussiness",
+  "fuzziness",
+  "gabardine",
+  "gaberdine",
+  "gadabouts",
+  "gainfully",
+  "gallantly",
+  "gallstone",
+  "gamboling",
+  "gamecocks",
+  "garbanzos",
+  "garnering",
+  "garnishee",
+  "garroting",
+  "garrulity",
+  "gaslights",
+  "gastritis",
+  "gateposts",
+  "gatherers",
+  "gaudiness",
+  "gauntness",
+  "gawkiness",
+  "gazetteer",
+  "gazillion",
+  "gearboxes",
+  "gearshift",
+  "gearwheel",
+  "gemstones",
+  "gendarmes",
+  "geniality",
+  "genitalia",
+  "genitives",
+  "genuflect",
+  "geocached",
+  "geocaches",
+  "geodesics",
+  "geriatric",
+  "germanium",
+  "gestating",
+  "gibbeting",
+  "gigabytes",
+  "gigahertz",
+  "gigapixel",
+  "giggliest",
+  "gimcracks",
+  "gimleting",
+  "gimmickry",
+  "girlishly",
+  "giveaways",
+  "glacially",
+  "gladiolas",
+  "gladiolus",
+  "glaringly",
+  "glassfuls",
+  "gleamings",
+  "gleefully",
+  "glissandi",
+  "glissando",
+  "glitziest",
+  "gloamings",
+  "glottises",
+  "glowingly",
+  "glowworms",
+  "glutinous",
+  "gnarliest",
+  "goalposts",
+  "goatherds",
+  "goatskins",
+  "goddamned",
+  "godliness",
+  "goldbrick",
+  "goldenrod",
+  "goldfinch",
+  "gondolier",
+  "gonorrhea",
+  "goodliest",
+  "gourmands",
+  "grainiest",
+  "granaries",
+  "granddads",
+  "grandness",
+  "granulate",
+  "grassland",
+  "graybeard",
+  "greenness",
+  "grenadier",
+  "gridlocks",
+  "grosbeaks",
+  "grossness",
+  "grounders",
+  "groundhog",
+  "grovelers",
+  "grubstake",
+  "gruelings",
+  "gruffness",
+  "grumblers",
+  "grungiest",
+  "guacamole",
+  "guardedly",
+  "guardrail",
+  "guardroom",
+  "guardsman",
+  "guardsmen",
+  "guileless",
+  "gunfights",
+  "gunnysack",
+  "gunrunner",
+  "gunsmiths",
+  "gusseting",
+  "gustatory",
+  "gutturals",
+  "gymnastic",
+  "habituate",
+  "haciendas",
+  "hailstorm",
+  "hairbrush",
+  "hairiness",
+  "hairpiece",
+  "hairstyle",
+  "halfbacks",
+  "halfpence",
+  "halfpenny",
+  "halftimes",
+  "halitosis",
+  "hallowing",
+  "haltingly",
+  "handballs",
+  "handbills",
+  "handcarts",
+  "handcraft",
+  "handhelds",
+  "handiness",
+  "handmaids",
+  "handpicks",
+  "handstand",
+  "hangnails",
+  "harbinger",
+  "hardbacks",
+  "hardcover",
+  "hardeners",
+  "hardiness",
+  "harlequin",
+  "harmonics",
+  "harridans",
+  "hastiness",
+  "hatchback",
+  "hatchways",
+  "haversack",
+  "hawthorns",
+  "hazelnuts",
+  "headbands",
+  "headboard",
+  "headdress",
+  "headlocks",
+  "headwinds",
+  "headwords",
+  "healthily",
+  "hearkened",
+  "heartland",
+  "heartsick",
+  "hectoring",
+  "hedgerows",
+  "hedonists",
+  "heehawing",
+  "heinously",
+  "heiresses",
+  "hellebore",
+  "hellholes",
+  "hellishly",
+  "helplines",
+  "helpmates",
+  "hemstitch",
+  "henpecked",
+  "heptagons",
+  "herbalist",
+  "herbicide",
+  "herbivore",
+  "herculean",
+  "hereabout",
+  "hermitage",
+  "heterodox",
+  "hexameter",
+  "hiccoughs",
+  "hidebound",
+  "highballs",
+  "highchair",
+  "hightails",
+  "hijackers",
+  "hirelings",
+  "histamine",
+  "hoarfrost",
+  "hoariness",
+  "hobbyists",
+  "hobnailed",
+  "hockshops",
+  "hogsheads",
+  "holdovers",
+  "hollyhock",
+  "holograms",
+  "holograph",
+  "homegrown",
+  "homemaker",
+  "homeowner",
+  "homepages",
+  "homerooms",
+  "hometowns",
+  "homewards",
+  "homeyness",
+  "homograph",
+  "homophone",
+  "honeybees",
+  "honeydews",
+  "honorably",
+  "honorific",
+  "hoodooing",
+  "hookworms",
+  "hooligans",
+  "hornpipes",
+  "horsehair",
+  "horsehide",
+  "horsetail",
+  "horsewhip",
+  "hostelers",
+  "hostilely",
+  "hoteliers",
+  "hothouses",
+  "housecoat",
+  "housemaid",
+  "housetops",
+  "howitzers",
+  "howsoever",
+  "hucksters",
+  "humanists",
+  "humanizer",
+  "humankind",
+  "humanness",
+  "humanoids",
+  "humblings",
+  "humbugged",
+  "humdinger",
+  "humongous",
+  "humorless",
+  "humpbacks",
+  "hunkering",
+  "husbandry",
+  "hybridize",
+  "hydrangea",
+  "hydrating",
+  "hydrofoil",
+  "hydrology",
+  "hygienist",
+  "hyperbola",
+  "hyperlink",
+  "hypertext",
+  "ibuprofen",
+  "ideograms",
+  "ideograph",
+  "idolaters",
+  "ignoramus",
+  "illiberal",
+  "illicitly",
+  "illumined",
+  "illumines",
+  "imbecilic",
+  "imbroglio",
+  "immanence",
+  "immediacy",
+  "immersive",
+  "imminence",
+  "immodesty",
+  "immolated",
+  "immolates",
+  "immorally",
+  "immovably",
+  "immutable",
+  "immutably",
+  "impaneled",
+  "imperious",
+  "impieties",
+  "impiously",
+  "imploding",
+  "implosion",
+  "impolitic",
+  "importers",
+  "importune",
+  "imposture",
+  "imprudent",
+  "impugning",
+  "impulsion",
+  "inamorata",
+  "inanities",
+  "inaudibly",
+  "incipient",
+  "inclement",
+  "incubuses",
+  "inculcate",
+  "inculpate",
+  "incurably",
+  "incurious",
+  "incursion",
+  "indemnify",
+  "indemnity",
+  "indenture",
+  "indigence",
+  "indigents",
+  "inductees",
+  "inductive",
+  "inebriate",
+  "ineffable",
+  "ineffably",
+  "inelastic",
+  "ineptness",
+  "inertness",
+  "infatuate",
+  "infielder",
+  "inflected",
+  "ingenuous",
+  "ingestion",
+  "ingresses",
+  "inhalants",
+  "inhalator",
+  "inheritor",
+  "inhumanly",
+  "injectors",
+  "innovated",
+  "innovates",
+  "innovator",
+  "inorganic",
+  "inpatient",
+  "inquirers",
+  "insensate",
+  "insetting",
+  "insomniac",
+  "intaglios",
+  "intendeds",
+  "interbred",
+  "interdict",
+  "interlace",
+  "interlard",
+  "interlink",
+  "internees",
+  "internist",
+  "intestate",
+  "intranets",
+  "intuiting",
+  "inveighed",
+  "inveigled",
+  "inveigles",
+  "invidious",
+  "inviolate",
+  "irateness",
+  "ironclads",
+  "irruption",
+  "isinglass",
+  "isometric",
+  "isosceles",
+  "isotropic",
+  "itchiness",
+  "iterating",
+  "iterators",
+  "jabberers",
+  "jackboots",
+  "jailbreak",
+  "jalousies",
+  "japanning",
+  "jeeringly",
+  "jellybean",
+  "jeremiads",
+  "jerkwater",
+  "jiggering",
+  "jihadists",
+  "jingoists",
+  "jitterbug",
+  "jockstrap",
+  "jocularly",
+  "jocundity",
+  "jolliness",
+  "joviality",
+  "joyridden",
+  "joyriders",
+  "joyriding",
+  "joysticks",
+  "judgeship",
+  "juiciness",
+  "jukeboxes",
+  "jumpiness",
+  "jumpsuits",
+  "junkyards",
+  "juridical",
+  "kamikazes",
+  "kibbutzim",
+  "kibitzers",
+  "kibitzing",
+  "kickstand",
+  "kielbasas",
+  "killdeers",
+  "kilocycle",
+  "kilohertz",
+  "kinematic",
+  "kingliest",
+  "kinswoman",
+  "kinswomen",
+  "kippering",
+  "kittenish",
+  "klutziest",
+  "knobbiest",
+  "knotholes",
+  "kookiness",
+  "laburnums",
+  "lachrymal",
+  "lactating",
+  "lactation",
+  "ladybirds",
+  "lagniappe",
+  "lambasted",
+  "lambastes",
+  "lambskins",
+  "lamebrain",
+  "laminated",
+  "laminates",
+  "lampblack",
+  "lampposts",
+  "lampshade",
+  "landfalls",
+  "landfills",
+  "landlines",
+  "landwards",
+  "languidly",
+  "lankiness",
+  "larboards",
+  "larcenous",
+  "largeness",
+  "larkspurs",
+  "lassitude",
+  "lastingly",
+  "latecomer",
+  "laterally",
+  "laudatory",
+  "laughably",
+  "launderer",
+  "laundress",
+  "lawgivers",
+  "lawlessly",
+  "laypeople",
+  "layperson",
+  "lazybones",
+  "leasehold",
+  "leastwise",
+  "leavening",
+  "lecherous",
+  "leftovers",
+  "leftwards",
+  "legalisms",
+  "legations",
+  "leitmotif",
+  "lengthily",
+  "leniently",
+  "letterbox",
+  "leukocyte",
+  "levelness",
+  "leviathan",
+  "levitated",
+  "levitates",
+  "libations",
+  "liberator",
+  "libertine",
+  "librettos",
+  "licensees",
+  "lifeblood",
+  "lifesaver",
+  "lifespans",
+  "lifeworks",
+  "ligatured",
+  "limitings",
+  "limpidity",
+  "lineament",
+  "lingerers",
+  "lionizing",
+  "liquidity",
+  "liquidize",
+  "litigants",
+  "litigated",
+  "litigates",
+  "litigious",
+  "littorals",
+  "livelongs",
+  "loanwords",
+  "locavores",
+  "locoweeds",
+  "locutions",
+  "lodestars",
+  "lodestone",
+  "logicians",
+  "logistics",
+  "logotypes",
+  "lollygags",
+  "longboats",
+  "longhairs",
+  "longhorns",
+  "longingly",
+  "lookalike",
+  "looseness",
+  "loquacity",
+  "lordliest",
+  "lordships",
+  "lorgnette",
+  "loudmouth",
+  "lousiness",
+  "lovebirds",
+  "lowercase",
+  "lowliness",
+  "loyalists",
+  "lucidness",
+  "luckiness",
+  "lumberman",
+  "lumbermen",
+  "lumpiness",
+  "lunchroom",
+  "luridness",
+  "lustfully",
+  "lustiness",
+  "lymphomas",
+  "lynchings",
+  "lyrically",
+  "lyricists",
+  "macaroons",
+  "macerated",
+  "macerates",
+  "mackinaws",
+  "macrocosm",
+  "madrasahs",
+  "madrassas",
+  "madrigals",
+  "magnifier",
+  "maharajah",
+  "maharanis",
+  "maharishi",
+  "mainlined",
+  "mainlines",
+  "mainmasts",
+  "mainsails",
+  "majorette",
+  "maladroit",
+  "malignity",
+  "malingers",
+  "mammogram",
+  "mandarins",
+  "mandrakes",
+  "mandrills",
+  "manganese",
+  "mannishly",
+  "mantillas",
+  "marauders",
+  "marauding",
+  "margarita",
+  "mariachis",
+  "marinaded",
+  "marinades",
+  "markdowns",
+  "marketers",
+  "marmosets",
+  "marquetry",
+  "marquises",
+  "martinets",
+  "masochism",
+  "masseuses",
+  "mastheads",
+  "mastodons",
+  "matricide",
+  "maundered",
+  "mawkishly",
+  "maxillary",
+  "maximally",
+  "mayflower",
+  "mayoralty",
+  "mealtimes",
+  "meatballs",
+  "medalists",
+  "megacycle",
+  "megahertz",
+  "megaliths",
+  "megapixel",
+  "melanomas",
+  "meltdowns",
+  "mendacity",
+  "mendicant",
+  "mercerize",
+  "mercurial",
+  "merganser",
+  "merriness",
+  "mescaline",
+  "mesmerism",
+  "mesmerize",
+  "mesquites",
+  "messieurs",
+  "messiness",
+  "metacarpi",
+  "meteoroid",
+  "methadone",
+  "methought",
+  "metronome",
+  "microchip",
+  "microcosm",
+  "microloan",
+  "midpoints",
+  "midwifery",
+  "midwinter",
+  "mileposts",
+  "milkiness",
+  "milkmaids",
+  "milkshake",
+  "milkweeds",
+  "millennia",
+  "millipede",
+  "millraces",
+  "millstone",
+  "mindfully",
+  "minibikes",
+  "miniskirt",
+  "minuteman",
+  "minutemen",
+  "mirthless",
+  "miscalled",
+  "mischance",
+  "miscounts",
+  "miscreant",
+  "misdoings",
+  "misfiring",
+  "misgovern",
+  "mishandle",
+  "mismanage",
+  "misplayed",
+  "misruling",
+  "missilery",
+  "misspends",
+  "misstated",
+  "misstates",
+  "mistiming",
+  "mistiness",
+  "mistreats",
+  "mistrials",
+  "mockingly",
+  "modernism",
+  "modernist",
+  "modulator",
+  "moistness",
+  "moldering",
+  "moldiness",
+  "molehills",
+  "molesters",
+  "monarchic",
+  "monetized",
+  "monetizes",
+  "moneybags",
+  "mongering",
+  "mongolism",
+  "mongooses",
+  "monograph",
+  "monoliths",
+  "monomania",
+  "monotones",
+  "monotonic",
+  "monoxides",
+  "monsignor",
+  "moodiness",
+  "moonscape",
+  "moonshine",
+  "moonshots",
+  "moonstone",
+  "moralized",
+  "moralizes",
+  "morbidity",
+  "morphemes",
+  "mortgagee",
+  "mortgagor",
+  "mortician",
+  "mortising",
+  "motivator",
+  "motocross",
+  "motorboat",
+  "motorcars",
+  "mountings",
+  "mousetrap",
+  "mousiness",
+  "mouthwash",
+  "muckraked",
+  "muckraker",
+  "muckrakes",
+  "muddiness",
+  "mudguards",
+  "mudslides",
+  "mulattoes",
+  "muleteers",
+  "multiplex",
+  "mundanely",
+  "munitions",
+  "muralists",
+  "murderess",
+  "murkiness",
+  "muscatels",
+  "mushiness",
+  "musicales",
+  "musketeer",
+  "muskiness",
+  "muskmelon",
+  "mustiness",
+  "mutineers",
+  "mutuality",
+  "nailbrush",
+  "narcissus",
+  "nasalized",
+  "nasalizes",
+  "naysayers",
+  "neediness",
+  "nefarious",
+  "nematodes",
+  "neodymium",
+  "neologism",
+  "nephritis",
+  "neptunium",
+  "nerveless",
+  "nestlings",
+  "neuralgia",
+  "neuralgic",
+  "neutrally",
+  "neutrinos",
+  "nevermore",
+  "newlyweds",
+  "newsflash",
+  "newsreels",
+  "niggardly",
+  "nightcaps",
+  "nighthawk",
+  "nightlife",
+  "nihilists",
+  "nitpicked",
+  "nitpicker",
+  "nobleness",
+  "nocturnes",
+  "nonevents",
+  "nonexempt",
+  "nonliving",
+  "nonmember",
+  "nonpareil",
+  "nonpluses",
+  "nonsexist",
+  "nonsmoker",
+  "nonverbal",
+  "nonvoting",
+  "nonwhites",
+  "normalize",
+  "normative",
+  "nosedived",
+  "nosedives",
+  "notarized",
+  "notarizes",
+  "notepaper",
+  "novelette",
+  "novitiate",
+  "numerated",
+  "numerates",
+  "numskulls",
+  "nunneries",
+  "nutritive",
+  "nuttiness",
+  "obeisance",
+  "obfuscate",
+  "oblations",
+  "obliquely",
+  "obscenely",
+  "obscurely",
+  "obsequies",
+  "obstetric",
+  "obtruding",
+  "obviating",
+  "occluding",
+  "occlusion",
+  "occlusive",
+  "offertory",
+  "offloaded",
+  "oilcloths",
+  "oilfields",
+  "oleanders",
+  "oligarchs",
+  "oligarchy",
+  "ombudsman",
+  "ombudsmen",
+  "omnibuses",
+  "omnivores",
+  "onionskin",
+  "onrushing",
+  "operettas",
+  "optically",
+  "optimizer",
+  "optometry",
+  "orangeade",
+  "oratorios",
+  "orderings",
+  "organelle",
+  "orgiastic",
+  "orientals",
+  "orneriest",
+  "orthodoxy",
+  "ossifying",
+  "osteopath",
+  "ostracism",
+  "outfitter",
+  "outflanks",
+  "outfoxing",
+  "outplayed",
+  "outranked",
+  "outriders",
+  "outrigger",
+  "outsource",
+  "outspread",
+  "outstayed",
+  "outvoting",
+  "overacted",
+  "overawing",
+  "overbites",
+  "overbooks",
+  "overcooks",
+  "overdress",
+  "overdrive",
+  "overeager",
+  "overjoyed",
+  "overlords",
+  "overplays",
+  "overreach",
+  "oversells",
+  "oversexed",
+  "overshare",
+  "overshoes",
+  "overspend",
+  "overspent",
+  "overstays",
+  "overstock",
+  "overtaxed",
+  "overtaxes",
+  "overthink",
+  "overviews",
+  "oviparous",
+  "ovulating",
+  "ovulation",
+  "oxidizers",
+  "oxygenate",
+  "pachyderm",
+  "paginated",
+  "paginates",
+  "paintwork",
+  "palavered",
+  "palefaces",
+  "palisades",
+  "palladium",
+  "palliated",
+  "palliates",
+  "palmettos",
+  "palmistry",
+  "palpating",
+  "palpation",
+  "palpitate",
+  "pandemics",
+  "panderers",
+  "panegyric",
+  "panelings",
+  "panelists",
+  "panoplies",
+  "pantheism",
+  "pantheist",
+  "pantheons",
+  "pantsuits",
+  "pantyhose",
+  "paperboys",
+  "papergirl",
+  "parabolas",
+  "parabolic",
+  "paradigms",
+  "paralegal",
+  "paramecia",
+  "paramedic",
+  "paramours",
+  "parboiled",
+  "parlaying",
+  "parleying",
+  "paroxysms",
+  "parqueted",
+  "parquetry",
+  "parricide",
+  "parsimony",
+  "partakers",
+  "parterres",
+  "passersby",
+  "passivity",
+  "pastiches",
+  "pastorate",
+  "pasturage",
+  "patchiest",
+  "pathogens",
+  "patrician",
+  "patricide",
+  "patrolman",
+  "patrolmen",
+  "pauperism",
+  "pauperize",
+  "pawnshops",
+  "paychecks",
+  "paymaster",
+  "peaceably",
+  "peacetime",
+  "pearliest",
+  "peasantry",
+  "peccaries",
+  "pectorals",
+  "pecuniary",
+  "pedagogic",
+  "pedagogue",
+  "pederasts",
+  "pederasty",
+  "pediatric",
+  "pedicured",
+  "pedicures",
+  "pedigreed",
+  "pediments",
+  "pedometer",
+  "peepholes",
+  "peevishly",
+  "penchants",
+  "pendulous",
+  "penlights",
+  "penurious",
+  "pepperoni",
+  "perdition",
+  "perfidies",
+  "perfumery",
+  "perihelia",
+  "perjurers",
+  "perkiness",
+  "permeable",
+  "permuting",
+  "persimmon",
+  "personage",
+  "pestilent",
+  "pettifogs",
+  "petulance",
+  "phalanges",
+  "phalanxes",
+  "phantasms",
+  "pharynges",
+  "phenotype",
+  "pheromone",
+  "philander",
+  "philately",
+  "philippic",
+  "philology",
+  "phlebitis",
+  "phoenixes",
+  "phoneying",
+  "phoniness",
+  "phonology",
+  "phosphate",
+  "phosphors",
+  "phrasings",
+  "physicked",
+  "pickerels",
+  "picnicker",
+  "piercings",
+  "pilasters",
+  "pilchards",
+  "pilferers",
+  "pillboxes",
+  "pilloried",
+  "pillories",
+  "pimientos",
+  "pimpernel",
+  "pinafores",
+  "pinpricks",
+  "pinstripe",
+  "pinwheels",
+  "pipsqueak",
+  "piratical",
+  "pituitary",
+  "pizzerias",
+  "pizzicati",
+  "pizzicato",
+  "placation",
+  "placental",
+  "placidity",
+  "plainness",
+  "plannings",
+  "plantings",
+  "plasterer",
+  "plastique",
+  "platefuls",
+  "platelets",
+  "playacted",
+  "playbacks",
+  "playbills",
+  "playgoers",
+  "playlists",
+  "playrooms",
+  "plebeians",
+  "plectrums",
+  "plenaries",
+  "plenitude",
+  "plenteous",
+  "ploddings",
+  "plowshare",
+  "pluckiest",
+  "plumpness",
+  "plunderer",
+  "pluralism",
+  "pluralize",
+  "plushiest",
+  "plutocrat",
+  "pocketful",
+  "poetesses",
+  "pointiest",
+  "poisoners",
+  "polemical",
+  "polestars",
+  "polishers",
+  "politesse",
+  "politicos",
+  "polliwogs",
+  "polluters",
+  "polonaise",
+  "poltroons",
+  "polyamory",
+  "polyester",
+  "polyglots",
+  "polygonal",
+  "polygraph",
+  "polymaths",
+  "polymeric",
+  "polyphony",
+  "polythene",
+  "pommeling",
+  "pompadour",
+  "pomposity",
+  "pompously",
+  "ponytails",
+  "poorhouse",
+  "popinjays",
+  "poppycock",
+  "populists",
+  "porringer",
+  "portaging",
+  "positrons",
+  "postcodes",
+  "postdated",
+  "postdates",
+  "posthaste",
+  "postludes",
+  "postnatal",
+  "potboiler",
+  "potentate",
+  "potholder",
+  "potpourri",
+  "potsherds",
+  "poulticed",
+  "poultices",
+  "powerboat",
+  "prankster",
+  "pratfalls",
+  "preachier",
+  "preceptor",
+  "precocity",
+  "predating",
+  "preexists",
+  "prefatory",
+  "prefigure",
+  "preheated",
+  "prejudged",
+  "prejudges",
+  "preordain",
+  "preppiest",
+  "prerecord",
+  "presaging",
+  "preschool",
+  "prescient",
+  "preserver",
+  "preshrank",
+  "preshrink",
+  "preshrunk",
+  "preterits",
+  "prismatic",
+  "prissiest",
+  "privateer",
+  "proactive",
+  "probating",
+  "proboscis",
+  "procreate",
+  "proctored",
+  "procurers",
+  "profanely",
+  "prolixity",
+  "promoters",
+  "prompters",
+  "proneness",
+  "pronghorn",
+  "propounds",
+  "prorating",
+  "proscribe",
+  "proselyte",
+  "prosodies",
+  "prostates",
+  "protester",
+  "protozoan",
+  "provender",
+  "provident",
+  "providers",
+  "prudently",
+  "prudishly",
+  "prurience",
+  "psalmists",
+  "psoriasis",
+  "psychical",
+  "ptarmigan",
+  "ptomaines",
+  "pubescent",
+  "publicans",
+  "publicist",
+  "puerility",
+  "puffballs",
+  "puffiness",
+  "pugilists",
+  "pugnacity",
+  "pullbacks",
+  "punchiest",
+  "pungently",
+  "puppeteer",
+  "purebreds",
+  "purgative",
+  "purifiers",
+  "purloined",
+  "purposely",
+  "pursuance",
+  "purulence",
+  "purveying",
+  "purveyors",
+  "pushcarts",
+  "pushiness",
+  "pussycats",
+  "pussyfoot",
+  "putrefied",
+  "putrefies",
+  "pyramidal",
+  "pyromania",
+  "quadrille",
+  "quatrains",
+  "queerness",
+  "querulous",
+  "quibblers",
+  "quicklime",
+  "quickness",
+  "quiescent",
+  "quietness",
+  "quietuses",
+  "quintuple",
+  "quirkiest",
+  "quislings",
+  "quotidian",
+  "rabbinate",
+  "racehorse",
+  "raconteur",
+  "radiantly",
+  "radiogram",
+  "radiology",
+  "raggedier",
+  "rainmaker",
+  "ramifying",
+  "rampantly",
+  "rancidity",
+  "randomize",
+  "ranginess",
+  "rapacious",
+  "rarefying",
+  "ratcheted",
+  "rattlings",
+  "raunchier",
+  "reachable",
+  "reaffirms",
+  "reanimate",
+  "reapplied",
+  "reapplies",
+  "reappoint",
+  "rearwards",
+  "reasserts",
+  "reassigns",
+  "reawakens",
+  "recasting",
+  "receptors",
+  "recessive",
+  "rechecked",
+  "recliners",
+  "reclusive",
+  "recombine",
+  "recondite",
+  "reconquer",
+  "reconvene",
+  "recopying",
+  "recreants",
+  "recruiter",
+  "rectifier",
+  "rectitude",
+  "rectories",
+  "recumbent",
+  "redbreast",
+  "redeemers",
+  "redeploys",
+  "redevelop",
+  "redheaded",
+  "redolence",
+  "redoubled",
+  "redoubles",
+  "redounded",
+  "redrafted",
+  "redrawing",
+  "reeducate",
+  "reemerged",
+  "reemerges",
+  "reenacted",
+  "reenlists",
+  "reentered",
+  "reentries",
+  "reexamine",
+  "refashion",
+  "refectory",
+  "referrals",
+  "refinance",
+  "refitting",
+  "refocused",
+  "refocuses",
+  "reforests",
+  "refracted",
+  "refresher",
+  "refulgent",
+  "refurnish",
+  "regencies",
+  "regicides",
+  "regrouped",
+  "regulator",
+  "rehabbing",
+  "reheating",
+  "reimposed",
+  "reimposes",
+  "reinserts",
+  "reinstall",
+  "reinvents",
+  "reinvests",
+  "reissuing",
+  "rekindled",
+  "rekindles",
+  "relabeled",
+  "relaxants",
+  "relearned",
+  "relevancy",
+  "remanding",
+  "remarried",
+  "remarries",
+  "rematches",
+  "remounted",
+  "renascent",
+  "renovator",
+  "renumbers",
+  "reordered",
+  "repackage",
+  "repainted",
+  "repairman",
+  "repairmen",
+  "repayable",
+  "repeaters",
+  "repertory",
+  "rephrased",
+  "rephrases",
+  "replaying",
+  "repletion",
+  "reportage",
+  "reposeful",
+  "repossess",
+  "reprehend",
+  "reprising",
+  "reprobate",
+  "reprocess",
+  "reproofed",
+  "reptilian",
+  "republish",
+  "reputably",
+  "requester",
+  "requiting",
+  "rerunning",
+  "reselling",
+  "reservist",
+  "resettled",
+  "resettles",
+  "residency",
+  "resisters",
+  "resonated",
+  "resonates",
+  "resonator",
+  "respelled",
+  "respiring",
+  "restating",
+  "restfully",
+  "restively",
+  "restocked",
+  "restorers",
+  "restrooms",
+  "restudied",
+  "restudies",
+  "resurgent",
+  "retardant",
+  "retelling",
+  "retentive",
+  "rethought",
+  "retooling",
+  "retouched",
+  "retouches",
+  "retrained",
+  "retreaded",
+  "retrodden",
+  "retrofits",
+  "returnees",
+  "retweeted",
+  "reunified",
+  "reunifies",
+  "revaluing",
+  "reverends",
+  "revocable",
+  "rewinding",
+  "rewording",
+  "reworking",
+  "rhapsodic",
+  "rheostats",
+  "rheumatic",
+  "rhomboids",
+  "rhombuses",
+  "ridgepole",
+  "rightists",
+  "rigidness",
+  "rigmarole",
+  "ringtones",
+  "riposting",
+  "riskiness",
+  "ritualism",
+  "riverbeds",
+  "riverside",
+  "roadhouse",
+  "roadsters",
+  "robocalls",
+  "rockiness",
+  "roentgens",
+  "roguishly",
+  "roistered",
+  "roisterer",
+  "rollbacks",
+  "rollicked",
+  "rookeries",
+  "roominess",
+  "rosewoods",
+  "rotundity",
+  "roughneck",
+  "roughshod",
+  "roundelay",
+  "roundworm",
+  "routinize",
+  "royalists",
+  "rubberize",
+  "rucksacks",
+  "ruddiness",
+  "rudiments",
+  "ruination",
+  "ruinously",
+  "rumblings",
+  "ruminants",
+  "runabouts",
+  "runaround",
+  "rusticity",
+  "rustiness",
+  "rustproof",
+  "rutabagas",
+  "saccharin",
+  "sackcloth",
+  "sacristan",
+  "saddlebag",
+  "safflower",
+  "sagacious",
+  "sailboard",
+  "sailcloth",
+  "sainthood",
+  "salaaming",
+  "salacious",
+  "salesgirl",
+  "saltiness",
+  "saltpeter",
+  "saltwater",
+  "samplings",
+  "sandbanks",
+  "sandblast",
+  "sandboxes",
+  "sandiness",
+  "sandpiper",
+  "sangfroid",
+  "sanitized",
+  "sanitizes",
+  "sapsucker",
+  "sartorial",
+  "sashaying",
+  "sassafras",
+  "satiating",
+  "satinwood",
+  "saturnine",
+  "sauciness",
+  "sawhorses",
+  "scabbards",
+  "scabbiest",
+  "scalawags",
+  "scallions",
+  "scarified",
+  "scarifies",
+  "scavenged",
+  "scavenges",
+  "schematic",
+  "schizoids",
+  "schlemiel",
+  "schlepped",
+  "schmaltzy",
+  "schmoozed",
+  "schmoozes",
+  "schnauzer",
+  "schussing",
+  "scimitars",
+  "scintilla",
+  "sclerosis",
+  "sclerotic",
+  "scofflaws",
+  "scoldings",
+  "scoliosis",
+  "scorchers",
+  "scorecard",
+  "scoreless",
+  "scotching",
+  "scrabbled",
+  "scrabbles",
+  "scrambler",
+  "scrappier",
+  "screwball",
+  "scribbler",
+  "scrimmage",
+  "scrimping",
+  "scrimshaw",
+  "scrounger",
+  "scrubbers",
+  "scrubbier",
+  "scrunched",
+  "scrunches",
+  "scullions",
+  "sculpting",
+  "scummiest",
+  "scuppered",
+  "scurviest",
+  "scuzziest",
+  "seaboards",
+  "seacoasts",
+  "seafarers",
+  "seaplanes",
+  "searchers",
+  "seascapes",
+  "seaworthy",
+  "sebaceous",
+  "seclusive",
+  "sectarian",
+  "sectional",
+  "seditious",
+  "seediness",
+  "seemliest",
+  "selectman",
+  "selectmen",
+  "selfishly",
+  "semaphore",
+  "semiotics",
+  "semitones",
+  "sensitize",
+  "sensually",
+  "sentinels",
+  "separable",
+  "sequester",
+  "seraglios",
+  "serialize",
+  "sermonize",
+  "servility",
+  "severally",
+  "shadiness",
+  "shadowbox",
+  "shakedown",
+  "shakiness",
+  "shambling",
+  "shanghais",
+  "shapeless",
+  "shareable",
+  "sharkskin",
+  "sheepdogs",
+  "sheepfold",
+  "sheepskin",
+  "sheikdoms",
+  "shiitakes",
+  "shillings",
+  "shimmying",
+  "shinbones",
+  "shininess",
+  "shinnying",
+  "shipboard",
+  "shiploads",
+  "shipmates",
+  "shipyards",
+  "shirrings",
+  "shirttail",
+  "shittiest",
+  "shoehorns",
+  "shoemaker",
+  "shoeshine",
+  "shootings",
+  "shootouts",
+  "shoplifts",
+  "shoreline",
+  "shortcake",
+  "shortcuts",
+  "shorthorn",
+  "shortstop",
+  "shortwave",
+  "shovelful",
+  "showboats",
+  "showgirls",
+  "showiness",
+  "showpiece",
+  "showplace",
+  "showrooms",
+  "shredders",
+  "shrubbier",
+  "shufflers",
+  "shutdowns",
+  "sibilants",
+  "sideboard",
+  "sideburns",
+  "sidekicks",
+  "sidelight",
+  "sideswipe",
+  "sidewalls",
+  "sightings",
+  "sightread",
+  "sightseer",
+  "signalize",
+  "signatory",
+  "signboard",
+  "silencers",
+  "silicates",
+  "siliceous",
+  "silicosis",
+  "silkworms",
+  "simpatico",
+  "simpering",
+  "simpleton",
+  "simulcast",
+  "sinecures",
+  "singleton",
+  "singsongs",
+  "sinkholes",
+  "sinusitis",
+  "skedaddle",
+  "skinheads",
+  "skintight",
+  "skittered",
+  "skivvying",
+  "skullcaps",
+  "skydivers",
+  "skydiving",
+  "skyjacked",
+  "skyjacker",
+  "skylarked",
+  "skywriter",
+  "slackness",
+  "slaloming",
+  "slanderer",
+  "slangiest",
+  "slantwise",
+  "slaphappy",
+  "slathered",
+  "slatterns",
+  "slavering",
+  "slavishly",
+  "sleekness",
+  "sleepwalk",
+  "sleepwear",
+  "slickness",
+  "slideshow",
+  "slinkiest",
+  "slipcover",
+  "slipknots",
+  "slippages",
+  "slouchier",
+  "sloughing",
+  "slowdowns",
+  "slowpokes",
+  "sluggards",
+  "slumlords",
+  "slushiest",
+  "smallness",
+  "smarmiest",
+  "smartened",
+  "smartness",
+  "smilingly",
+  "smirching",
+  "smoggiest",
+  "smokeless",
+  "smokiness",
+  "smooching",
+  "smoothies",
+  "smudgiest",
+  "smuttiest",
+  "snaffling",
+  "snakebite",
+  "snarkiest",
+  "snazziest",
+  "snippiest",
+  "sniveling",
+  "snobbiest",
+  "snoopiest",
+  "snorkeler",
+  "snottiest",
+  "snowboard",
+  "snowbound",
+  "snowdrops",
+  "snowshoes",
+  "snowsuits",
+  "snuffling",
+  "soapboxes",
+  "soapiness",
+  "soapstone",
+  "soberness",
+  "sobriquet",
+  "socialite",
+  "sociopath",
+  "sodomites",
+  "softeners",
+  "softwoods",
+  "sogginess",
+  "soldierly",
+  "solecisms",
+  "solemnize",
+  "solenoids",
+  "solidness",
+  "soliloquy",
+  "solstices",
+  "sombreros",
+  "somnolent",
+  "songbirds",
+  "songsters",
+  "soporific",
+  "soreheads",
+  "sortieing",
+  "soulfully",
+  "soulmates",
+  "soundings",
+  "soundless",
+  "soundness",
+  "sourdough",
+  "spacesuit",
+  "spacewalk",
+  "spadefuls",
+  "spadework",
+  "spareness",
+  "spareribs",
+  "sparingly",
+  "spatially",
+  "speakeasy",
+  "speckling",
+  "speedster",
+  "speedways",
+  "spelunker",
+  "spheroids",
+  "sphincter",
+  "spiciness",
+  "spiffiest",
+  "spillages",
+  "spillways",
+  "spindling",
+  "spinnaker",
+  "spitballs",
+  "spitfires",
+  "spittoons",
+  "splashier",
+  "splatting",
+  "splenetic",
+  "splotched",
+  "splotches",
+  "splutters",
+  "spoonbill",
+  "sportiest",
+  "sportsman",
+  "sportsmen",
+  "spreaders",
+  "sprightly",
+  "spritzing",
+  "sprockets",
+  "spunkiest",
+  "squashier",
+  "squatters",
+  "squealers",
+  "squeegeed",
+  "squeegees",
+  "squeezers",
+  "squiggled",
+  "squiggles",
+  "squirmier",
+  "squishier",
+  "squishing",
+  "stabbings",
+  "staccatos",
+  "stagehand",
+  "stainless",
+  "stairwell",
+  "stakeouts",
+  "staleness",
+  "stalkings",
+  "stammerer",
+  "stanchion",
+  "standouts",
+  "stargazer",
+  "starkness",
+  "starlings",
+  "starvings",
+  "statehood",
+  "stateless",
+  "stateroom",
+  "stateside",
+  "statewide",
+  "stationer",
+  "statuette",
+  "steamboat",
+  "steamroll",
+  "steamship",
+  "steeliest",
+  "steepness",
+  "stepchild",
+  "sterility",
+  "stevedore",
+  "stickpins",
+  "stiffener",
+  "stiflings",
+  "stilettos",
+  "stingrays",
+  "stippling",
+  "stirrings",
+  "stockroom",
+  "stoically",
+  "stolidity",
+  "stonewall",
+  "stoneware",
+  "stonework",
+  "stopcocks",
+  "stoplight",
+  "stoppable",
+  "storybook",
+  "stoutness",
+  "stovepipe",
+  "straitens",
+  "strangler",
+  "strapless",
+  "streakier",
+  "stricture",
+  "strikeout",
+  "stringers",
+  "stripling",
+  "strippers",
+  "strongbox",
+  "strontium",
+  "stropping",
+  "strumpets",
+  "stuccoing",
+  "stumblers",
+  "stumpiest",
+  "sturgeons",
+  "stutterer",
+  "stylishly",
+  "stylizing",
+  "stymieing",
+  "subatomic",
+  "subgroups",
+  "subhumans",
+  "subjoined",
+  "subleased",
+  "subleases",
+  "sublimate",
+  "sublimely",
+  "sublimity",
+  "submersed",
+  "submerses",
+  "submitter",
+  "suborning",
+  "subpoenas",
+  "substrata",
+  "substrate",
+  "subsuming",
+  "subtitled",
+  "subtitles",
+  "subtotals",
+  "succotash",
+  "sucklings",
+  "suffragan",
+  "suffusing",
+  "suffusion",
+  "sugarcane",
+  "sugarcoat",
+  "sugarless",
+  "sulfuring",
+  "sulfurous",
+  "sulkiness",
+  "sultanate",
+  "summation",
+  "summoners",
+  "sunbather",
+  "sunblocks",
+  "sunbonnet",
+  "sundering",
+  "sunfishes",
+  "sunstroke",
+  "superegos",
+  "supernova",
+  "supersize",
+  "supervene",
+  "suppliant",
+  "suppurate",
+  "surceased",
+  "surceases",
+  "surfeited",
+  "surliness",
+  "surplices",
+  "surrogate",
+  "surtaxing",
+  "swaddling",
+  "swankiest",
+  "swastikas",
+  "swattered",
+  "swearword",
+  "sweatiest",
+  "sweatshop",
+  "sweetener",
+  "sweetmeat",
+  "swellhead",
+  "sweltered",
+  "swiftness",
+  "swimsuits",
+  "swordplay",
+  "swordsman",
+  "swordsmen",
+  "sybarites",
+  "sybaritic",
+  "sycamores",
+  "sycophant",
+  "syllabify",
+  "syllogism",
+  "symbioses",
+  "symbiosis",
+  "symbiotic",
+  "symposium",
+  "syncopate",
+  "synergism",
+  "systemics",
+  "tableland",
+  "tableware",
+  "tabulator",
+  "tacitness",
+  "tackiness",
+  "tactician",
+  "tailcoats",
+  "tailpipes",
+  "tailwinds",
+  "takeaways",
+  "takeovers",
+  "tallyhoed",
+  "tamarinds",
+  "tanneries",
+  "tapeworms",
+  "tarmacked",
+  "tarragons",
+  "tastiness",
+  "tattering",
+  "tattooist",
+  "taxidermy",
+  "taxonomic",
+  "teachable",
+  "teakettle",
+  "tealights",
+  "tearfully",
+  "teargases",
+  "tectonics",
+  "telecasts",
+  "telemeter",
+  "telemetry",
+  "telephony",
+  "telephoto",
+  "telethons",
+  "teletypes",
+  "tellingly",
+  "templates",
+  "temporize",
+  "temptress",
+  "tenseness",
+  "tenuously",
+  "terabytes",
+  "termagant",
+  "terrapins",
+  "terrarium",
+  "testiness",
+  "theocracy",
+  "theosophy",
+  "therefrom",
+  "therewith",
+  "thermally",
+  "thermoses",
+  "thespians",
+  "thickener",
+  "thighbone",
+  "thirstily",
+  "thralldom",
+  "thralling",
+  "thrashers",
+  "threefold",
+  "threesome",
+  "thriftily",
+  "throatier",
+  "throatily",
+  "thrumming",
+  "thumbnail",
+  "thwacking",
+  "tidewater",
+  "tigresses",
+  "timelines",
+  "timepiece",
+  "timestamp",
+  "timpanist",
+  "tinctured",
+  "tinctures",
+  "tinderbox",
+  "tinglings",
+  "tinsmiths",
+  "tiredness",
+  "toastiest",
+  "tollbooth",
+  "tollgates",
+  "tonsorial",
+  "tonsuring",
+  "toolboxes",
+  "toothiest",
+  "toothless",
+  "toothsome",
+  "topically",
+  "toreadors",
+  "torpidity",
+  "torturers",
+  "towelings",
+  "towheaded",
+  "townhouse",
+  "townsfolk",
+  "townships",
+  "traceable",
+  "traceries",
+  "tractable",
+  "tradesman",
+  "tradesmen",
+  "traducing",
+  "tragedian",
+  "traipsing",
+  "trammeled",
+  "transepts",
+  "transfuse",
+  "transmute",
+  "transship",
+  "trapdoors",
+  "trappable",
+  "trashcans",
+  "travailed",
+  "treadling",
+  "treatable",
+  "tremulous",
+  "trenchant",
+  "triathlon",
+  "tribalism",
+  "tribesman",
+  "tribesmen",
+  "tricepses",
+  "tricolors",
+  "triennial",
+  "trifectas",
+  "trifocals",
+  "trimarans",
+  "trimmings",
+  "trinities",
+  "triptychs",
+  "trisected",
+  "triteness",
+  "triumphal",
+  "troopship",
+  "trousseau",
+  "truckling",
+  "truckload",
+  "truculent",
+  "trumpeter",
+  "truncheon",
+  "trundling",
+  "tubercles",
+  "tuckering",
+  "tunefully",
+  "turbojets",
+  "turboprop",
+  "turducken",
+  "turgidity",
+  "turmerics",
+  "turnabout",
+  "turncoats",
+  "turpitude",
+  "twaddling",
+  "tweediest",
+  "twiggiest",
+  "tympanums",
+  "typecasts",
+  "typefaces",
+  "typewrite",
+  "typewrote",
+  "tyrannous",
+  "ulcerated",
+  "ulcerates",
+  "ululating",
+  "umbilical",
+  "umbilicus",
+  "umpteenth",
+  "unabashed",
+  "unadorned",
+  "unadvised",
+  "unashamed",
+  "unbarring",
+  "unbending",
+  "unbinding",
+  "unbolting",
+  "unbosomed",
+  "unbounded",
+  "unbranded",
+  "unbridled",
+  "unbuckled",
+  "unbuckles",
+  "unbuttons",
+  "uncannily",
+  "uncharted",
+  "unchecked",
+  "unclaimed",
+  "unclasped",
+  "uncleanly",
+  "unclearer",
+  "unclothed",
+  "unclothes",
+  "uncoiling",
+  "unconcern",
+  "uncorking",
+  "uncounted",
+  "uncoupled",
+  "uncouples",
+  "undeceive",
+  "underacts",
+  "underarms",
+  "underbids",
+  "undercoat",
+  "underdone",
+  "underfeed",
+  "undergrad",
+  "underhand",
+  "underling",
+  "undermost",
+  "underpaid",
+  "underpays",
+  "underpins",
+  "underplay",
+  "undersell",
+  "undershot",
+  "undersign",
+  "undersold",
+  "underused",
+  "undiluted",
+  "undivided",
+  "undulated",
+  "undulates",
+  "unequally",
+  "unfeigned",
+  "unfetters",
+  "unfriends",
+  "unfrocked",
+  "unguarded",
+  "ungulates",
+  "unhanding",
+  "unhinging",
+  "unhitched",
+  "unhitches",
+  "unholiest",
+  "unhorsing",
+  "unhurried",
+  "unicycles",
+  "uninjured",
+  "uninstall",
+  "uninsured",
+  "uninvited",
+  "unknowing",
+  "unlatched",
+  "unlatches",
+  "unlearned",
+  "unloosing",
+  "unluckily",
+  "unmanlier",
+  "unmatched",
+  "unmindful",
+  "unopposed",
+  "unpainted",
+  "unpinning",
+  "unplanned",
+  "unplugged",
+  "unplumbed",
+  "unquoting",
+  "unrefined",
+  "unrolling",
+  "unsaddled",
+  "unsaddles",
+  "unsealing",
+  "unselfish",
+  "unsheathe",
+  "unsmiling",
+  "unsnapped",
+  "unsnarled",
+  "unsparing",
+  "unspoiled",
+  "unstopped",
+  "unstudied",
+  "untainted",
+  "untreated",
+  "untutored",
+  "untwisted",
+  "unvarying",
+  "unwariest",
+  "unwitting",
+  "unworldly",
+  "unzipping",
+  "upbraided",
+  "upchucked",
+  "upcountry",
+  "uppercase",
+  "uppercuts",
+  "upraising",
+  "upstaging",
+  "upsurging",
+  "urbanized",
+  "urbanizes",
+  "urination",
+  "urologist",
+  "usability",
+  "usernames",
+  "usherette",
+  "uttermost",
+  "vacuously",
+  "vainglory",
+  "valiantly",
+  "validness",
+  "valuation",
+  "vamoosing",
+  "vapidness",
+  "vaporizer",
+  "variances",
+  "variegate",
+  "vasectomy",
+  "vassalage",
+  "vectoring",
+  "vegetated",
+  "vegetates",
+  "vehemence",
+  "vehicular",
+  "velveteen",
+  "vendettas",
+  "venturous",
+  "veracious",
+  "verbalize",
+  "verdigris",
+  "veritably",
+  "vermilion",
+  "verminous",
+  "versified",
+  "versifies",
+  "vertebral",
+  "vestigial",
+  "vexatious",
+  "vibrantly",
+  "vibrators",
+  "viburnums",
+  "vicarages",
+  "victualed",
+  "videodisc",
+  "vignetted",
+  "vignettes",
+  "violators",
+  "violinist",
+  "virginals",
+  "virulence",
+  "viscosity",
+  "viscounts",
+  "vitalized",
+  "vitalizes",
+  "vitiating",
+  "vitiation",
+  "vividness",
+  "vivifying",
+  "vocalized",
+  "vocalizes",
+  "vocatives",
+  "voiceless",
+  "voicemail",
+  "voltmeter",
+  "voodooism",
+  "vouchsafe",
+  "voyeurism",
+  "vulcanize",
+  "vulgarism",
+  "vulgarize",
+  "vuvuzelas",
+  "wackiness",
+  "wainscots",
+  "waistband",
+  "waistcoat",
+  "wallabies",
+  "wallboard",
+  "wardrooms",
+  "warhorses",
+  "warmonger",
+  "washbasin",
+  "washboard",
+  "washbowls",
+  "washstand",
+  "wassailed",
+  "watchband",
+  "waterbeds",
+  "waterfowl",
+  "waterline",
+  "waterside",
+  "wayfarers",
+  "wayfaring",
+  "waywardly",
+  "webisodes",
+  "webmaster",
+  "weeknight",
+  "westbound",
+  "westerner",
+  "westwards",
+  "whalebone",
+  "wheelbase",
+  "wheeziest",
+  "wherefore",
+  "whetstone",
+  "whippings",
+  "whirligig",
+  "whistlers",
+  "whitecaps",
+  "whitefish",
+  "whiteners",
+  "whitewall",
+  "whittlers",
+  "whodunits",
+  "wholeness",
+  "whooshing",
+  "whosoever",
+  "widowhood",
+  "wiggliest",
+  "wigwagged",
+  "windbreak",
+  "windiness",
+  "windsocks",
+  "windstorm",
+  "windsurfs",
+  "windswept",
+  "wineglass",
+  "wingspans",
+  "winnowing",
+  "winsomely",
+  "winterize",
+  "wiseacres",
+  "wishfully",
+  "wisterias",
+  "witlessly",
+  "wittiness",
+  "wittingly",
+  "woebegone",
+  "woefuller",
+  "wolfhound",
+  "wolverine",
+  "womanized",
+  "womanizer",
+  "womanizes",
+  "womanlier",
+  "womanlike",
+  "womenfolk",
+  "woodcocks",
+  "woodcraft",
+  "woodiness",
+  "woodpiles",
+  "woodsheds",
+  "woodsiest",
+  "wooziness",
+  "wordiness",
+  "workflows",
+  "workhorse",
+  "workhouse",
+  "workloads",
+  "worksheet",
+  "workweeks",
+  "worryings",
+  "worrywart",
+  "wrigglers",
+  "wrinklier",
+  "wrinklies",
+  "wristband",
+  "wrongness",
+  "yachtsman",
+  "yachtsmen",
+  "yammering",
+  "yarmulkes",
+  "yearbooks",
+  "yeastiest",
+  "yellowish",
+  "yieldings",
+  "zealously",
+  "zeppelins",
+  "zestfully",
+  "zirconium"
+];
+
+/**
+ * Every accepted 9-letter word (answers + valid guesses), sorted
+ */
+export const SOLUTIONS_LIST = [...ANSWERS_LIST, ...VALID_GUESSES_LIST].sort();
@@ -0,0 +1,73 @@
+/**
+ * ANALYSIS HOOK
+ *
+ * Runs an analysis task (filtering, guess scoring) in the analysis worker
+ * and returns the latest result.
+ *
+ * Features:
+ * - Each hook instance gets its own worker channel, so a new payload
+ *   cancels that instance's stale request without touching others
+ * - Keeps showing the previous result while a new one is computed, but
+ *   drops it when the task is disabled: a result from before a pause (e.g.
+ *   the board before "clear all") says nothing about the next payload
+ * - isPending is derived (no extra renders): true until the result for the
+ *   current payload arrives
+ *
+ * IMPORTANT: payload must be memoized (useMemo) - a new object every render
+ * would start a new request every render.
+ *
+ * @param {string} type - Task type ('filter' | 'suggest' | 'suggestMulti')
+ * @param {Object} payload - Memoized task input
+ * @param {boolean} enabled - Set false to skip the task (cancels any in-flight request)
+ * @returns {{ result: *, isPending: boolean }}
+ *
+ * @example
+ * const payload = useMemo(() => ({ constraints, wordListMode }), [constraints, wordListMode]);
+ * const { result: suggestions, isPending } = useAnalysis('suggest', payload);
+ */
+
+import { useState, useEffect, useId } from 'react';
+import { requestAnalysis, cancelAnalysis } from '../workers/analysisClient';
+
+export default function useAnalysis(type, payload, enabled = true) {
+  const channel = useId();
+
+  // Latest completed result and the payload it was computed for
+  const [completed, setCompleted] = useState({ result: null, payload: null });
+
+  // Forget the result when the task is disabled (adjusted during render,
+  // React's pattern for resetting state when a prop changes)
+  const [wasEnabled, setWasEnabled] = useState(enabled);
+  if (enabled !== wasEnabled) {
+    setWasEnabled(enabled);
+    if (!enabled) setCompleted({ result: null, payload: null });
+  }
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let isCurrent = true;
+
+    requestAnalysis(channel, type, payload).then((response) => {
+      if (!isCurrent || response.cancelled) return;
+
+      if (response.success) {
+        setCompleted({ result: response.result, payload });
+      } else {
+        // Keep the previous result, but stop reporting this payload as pending
+        console.error(`Analysis task "${type}" failed:`, response.error);
+        setCompleted(prev => ({ result: prev.result, payload }));
+      }
+    });
+
+    return () => {
+      isCurrent = false;
+      cancelAnalysis(channel);
+    };
+  }, [channel, type, payload, enabled]);
+
+  return {
+    result: completed.result,
+    isPending: enabled && completed.payload !== payload
+  };
+}
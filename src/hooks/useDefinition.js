@@ -5,182 +5,131 @@
  * Handles API calls, caching, error states, and modal state.
  *
  * Features:
- * - Fetches definitions from Free Dictionary API (primary)
- * - Falls back to Wiktionary API for obscure words
- * - Component-scoped LRU cache (prevents memory leaks)
+ * - Abortable, race-safe lookups: opening another word or closing the modal
+ *   cancels the current lookup, so a late response never replaces the
+ *   definition on screen
+ * - Per-request timeout (DEFINITION_REQUEST_TIMEOUT_MS)
+ * - Retry after a failed lookup (retryDefinition)
+ * - Pluggable provider chain (utils/definitionProviders.js), tried in order.
+ *   Default: the offline definitions bundle (likely answers, no network; see
+ *   utils/definitions.js), then Free Dictionary API, then Wiktionary API for
+ *   obscure words
+ * - Shared LRU cache saved in IndexedDB (utils/definitionCache.js): reopening
+ *   a word never refetches it, even after a reload; words no dictionary knows
+ *   are remembered too, for a shorter time
  * - Loading and error states
  * - Automatic frontend observability via Grafana Faro
  * - Modal open/close management
  */
 
-import { useState, useRef } from 'react';
-import { MAX_DEFINITION_CACHE_SIZE } from '../constants';
+import { useState, useEffect } from 'react';
+import { offlineDefinitionProvider } from '../utils/definitions';
+import { getCachedDefinition, cacheDefinition } from '../utils/definitionCache';
+import {
+  freeDictionaryProvider,
+  wiktionaryProvider,
+  lookupDefinition
+} from '../utils/definitionProviders';
+
+// Default provider chain: offline bundle, then the online dictionaries
+const DEFAULT_PROVIDERS = [offlineDefinitionProvider, freeDictionaryProvider, wiktionaryProvider];
 
 /**
- * Strips HTML tags from a string
- * Used to clean Wiktionary API responses which contain HTML markup
+ * Looks up a word definition: shared cache first, then the provider chain
+ *
+ * @param {string} word - Word in any case
+ * @param {Object[]} providers - Ordered provider chain
+ * @param {AbortSignal} signal - Cancels the network requests
+ * @param {boolean} isRetry - Ask the providers again even if the word is cached as not found
+ * @returns {Promise<Array|null>} Definition (Free Dictionary API format), or
+ *   null if no provider has the word
+ * @throws {Error} If a provider couldn't be reached and none had the word
  */
-function stripHtml(html) {
-  if (!html) return '';
-
-  // Remove HTML tags
-  let text = html.replace(/<[^>]*>/g, '');
-
-  // Decode common HTML entities
-  const entities = {
-    '&amp;': '&',
-    '&lt;': '<',
-    '&gt;': '>',
-    '&quot;': '"',
-    '&#39;': "'",
-    '&nbsp;': ' '
-  };
+async function loadDefinition(word, providers, signal, isRetry) {
+  // Looked up before (this session or an earlier one)
+  const cached = await getCachedDefinition(word);
+  if (cached && (cached.definition || !isRetry)) {
+    return cached.definition;
+  }
+
+  const { definition, provider } = await lookupDefinition(word, providers, { signal });
+
+  // Offline results are always at hand; online ones (and "not found") are cached
+  if (!provider?.isOffline) {
+    cacheDefinition(word, definition);
+  }
+  return definition;
+}
 
-  Object.entries(entities).forEach(([entity, char]) => {
-    text = text.replace(new RegExp(entity, 'g'), char);
-  });
+/**
+ * @param {Object} [options]
+ * @param {Object[]} [options.providers] - Ordered provider chain (see utils/definitionProviders.js).
+ *   Must be stable (a module constant or memoized) - a new array every render
+ *   would restart the lookup every render.
+ *
+ * @example
+ * const mockProvider = createStaticProvider('Mock', { crane: [...] });
+ * const PROVIDERS = [mockProvider];
+ * useDefinition({ providers: PROVIDERS });
+ */
+export default function useDefinition({ providers = DEFAULT_PROVIDERS } = {}) {
+  // Open word and the lookup for it (id goes up with every open and retry)
+  const [request, setRequest] = useState({ word: null, id: 0, isRetry: false });
 
-  return text.trim();
-}
+  // Latest finished lookup: { id, definition, error }
+  const [completed, setCompleted] = useState({ id: 0, definition: null, error: null });
 
-export default function useDefinition() {
-  // Component-scoped definition cache (prevents memory leaks)
-  // Using useRef so cache persists across re-renders but can be cleared
-  const definitionCacheRef = useRef({});
-  const definitionCache = definitionCacheRef.current;
+  // Look up the open word; opening another word, retrying or closing aborts the old lookup
+  useEffect(() => {
+    if (!request.word) return;
 
-  // Definition modal state
-  const [selectedWord, setSelectedWord] = useState(null);
-  const [definition, setDefinition] = useState(null);
-  const [isLoadingDefinition, setIsLoadingDefinition] = useState(false);
-  const [definitionError, setDefinitionError] = useState(false);
+    const controller = new AbortController();
 
-  /**
-   * Transforms Wiktionary API response to match Free Dictionary API format
-   * This allows the UI to consume both APIs with the same interface
-   */
-  const transformWiktionaryResponse = (wiktionaryData) => {
-    if (!wiktionaryData.en || wiktionaryData.en.length === 0) {
-      return null;
-    }
-
-    // Transform to Free Dictionary API format
-    return [{
-      word: wiktionaryData.en[0].language || '',
-      phonetic: '', // Wiktionary doesn't always provide phonetics in this endpoint
-      meanings: wiktionaryData.en.map(entry => ({
-        partOfSpeech: entry.partOfSpeech || 'unknown',
-        definitions: entry.definitions.map(def => ({
-          definition: stripHtml(def.definition),
-          example: def.parsedExamples?.[0]?.example
-            ? stripHtml(def.parsedExamples[0].example)
-            : undefined
-        }))
-      }))
-    }];
-  };
+    loadDefinition(request.word, providers, controller.signal, request.isRetry)
+      .then((definition) => {
+        if (controller.signal.aborted) return;
+        setCompleted({ id: request.id, definition, error: definition ? null : 'not-found' });
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error('Error fetching definition:', error);
+        setCompleted({ id: request.id, definition: null, error: 'failed' });
+      });
+
+    return () => controller.abort();
+  }, [request, providers]);
+
+  // Only the lookup for the current request counts (derived, no extra renders)
+  const isCurrent = completed.id === request.id;
 
   /**
-   * Fetches word definition from Free Dictionary API with Wiktionary fallback
-   * Uses cache to avoid repeated requests for the same word
+   * Opens definition modal for a word
    */
-  const fetchDefinition = async (word) => {
-    const wordLower = word.toLowerCase();
-
-    // Check cache first
-    if (definitionCache[wordLower]) {
-      setDefinition(definitionCache[wordLower]);
-      setDefinitionError(false);
-      return;
-    }
-
-    // Fetch from API
-    setIsLoadingDefinition(true);
-    setDefinitionError(false);
-
-    try {
-      // Try primary API first (Free Dictionary)
-      const response = await fetch(
-        `https://api.dictionaryapi.dev/api/v2/entries/en/${wordLower}`
-      );
-
-      if (!response.ok) {
-        // Primary API failed, try Wiktionary fallback
-        console.log(`Primary API failed for "${wordLower}", trying Wiktionary...`);
-
-        const wiktionaryResponse = await fetch(
-          `https://en.wiktionary.org/api/rest_v1/page/definition/${wordLower}`
-        );
-
-        if (!wiktionaryResponse.ok) {
-          throw new Error('Definition not found in both APIs');
-        }
-
-        const wiktionaryData = await wiktionaryResponse.json();
-        const transformedData = transformWiktionaryResponse(wiktionaryData);
-
-        if (!transformedData) {
-          throw new Error('No English definition found in Wiktionary');
-        }
-
-        // Cache the transformed result
-        const cacheKeys = Object.keys(definitionCache);
-        if (cacheKeys.length >= MAX_DEFINITION_CACHE_SIZE) {
-          delete definitionCache[cacheKeys[0]];
-        }
-        definitionCache[wordLower] = transformedData;
-
-        setDefinition(transformedData);
-        setDefinitionError(false);
-        return;
-      }
-
-      // Primary API succeeded
-      const data = await response.json();
-
-      // Cache the result with size limiting (simple LRU-style)
-      const cacheKeys = Object.keys(definitionCache);
-      if (cacheKeys.length >= MAX_DEFINITION_CACHE_SIZE) {
-        // Remove oldest entry (first key in the object)
-        delete definitionCache[cacheKeys[0]];
-      }
-      definitionCache[wordLower] = data;
-
-      setDefinition(data);
-      setDefinitionError(false);
-    } catch (error) {
-      console.error('Error fetching definition:', error);
-      setDefinitionError(true);
-      setDefinition(null);
-    } finally {
-      setIsLoadingDefinition(false);
-    }
+  const openDefinition = (word) => {
+    setRequest(prev => ({ word, id: prev.id + 1, isRetry: false }));
   };
 
   /**
-   * Opens definition modal for a word
+   * Looks the open word up again (after a failed lookup)
    */
-  const openDefinition = (word) => {
-    setSelectedWord(word);
-    setDefinition(null);
-    fetchDefinition(word);
+  const retryDefinition = () => {
+    setRequest(prev => ({ ...prev, id: prev.id + 1, isRetry: true }));
   };
 
   /**
    * Closes the definition modal
    */
   const closeDefinition = () => {
-    setSelectedWord(null);
-    setDefinition(null);
-    setDefinitionError(false);
+    setRequest(prev => ({ word: null, id: prev.id + 1, isRetry: false }));
   };
 
   return {
-    selectedWord,
-    definition,
-    isLoadingDefinition,
-    definitionError,
+    selectedWord: request.word,
+    definition: isCurrent ? completed.definition : null,
+    isLoadingDefinition: request.word !== null && !isCurrent,
+    definitionError: isCurrent ? completed.error : null,
     openDefinition,
     closeDefinition,
+    retryDefinition,
   };
 }
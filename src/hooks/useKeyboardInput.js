@@ -7,6 +7,7 @@
  * Features:
  * - Letter input (A-Z)
  * - Backspace handling
+ * - Enter handling (optional, used by GuessRows to submit a guess)
  * - Arrow navigation (Left/Right for positioned rows)
  * - Tab navigation (move to next position on desktop, move to next row on mobile)
  * - Only listens when row is focused
@@ -19,6 +20,7 @@
  * @param {function} config.onTabNavigate - Called when tab moves to next position (desktop only)
  * @param {function} config.onTabNavigateReverse - Called when shift+tab moves to previous position (desktop only)
  * @param {function} config.onEscape - Called when escape key is pressed (to unfocus)
+ * @param {function} config.onEnter - Called when enter key is pressed (optional)
  * @param {boolean} config.hasPositions - Whether this row has positions (enables arrow keys)
  * @param {number} config.selectedPosition - Current selected position (for positioned rows)
  * @param {function} config.onPositionChange - Called when position changes via arrows
@@ -60,6 +62,7 @@ export default function useKeyboardInput({
   onTabNavigate = null,
   onTabNavigateReverse = null,
   onEscape = null,
+  onEnter = null,
   hasPositions = false,
   selectedPosition = 0,
   onPositionChange = null,
@@ -113,6 +116,12 @@ export default function useKeyboardInput({
         onEscape();
       }
 
+      // Handle Enter (submit)
+      if (e.key === 'Enter' && onEnter) {
+        e.preventDefault();
+        onEnter();
+      }
+
       // Handle Arrow keys (only for positioned rows)
       if (hasPositions && onPositionChange) {
         if (e.key === 'ArrowLeft' && selectedPosition > 0) {
@@ -136,6 +145,7 @@ export default function useKeyboardInput({
     onTabNavigate,
     onTabNavigateReverse,
     onEscape,
+    onEnter,
     hasPositions,
     selectedPosition,
     onPositionChange,
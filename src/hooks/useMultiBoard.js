@@ -0,0 +1,28 @@
+/**
+ * MULTI-BOARD HOOK
+ *
+ * The multi-board context object and the hook that reads it. Kept apart from
+ * MultiBoardProvider so that file only exports components (fast refresh).
+ */
+
+import { createContext, useContext } from 'react';
+
+// Provided by MultiBoardProvider (context/MultiBoardContext.jsx)
+export const MultiBoardContext = createContext();
+
+/**
+ * Custom Hook: useMultiBoard()
+ *
+ * Use this in multi-board components to reach the shared draft and actions.
+ * Example: const { draftWord, submitGuess } = useMultiBoard();
+ *
+ * NOTE: This hook must be used inside a component that's wrapped by MultiBoardProvider,
+ * otherwise it will throw an error.
+ */
+export default function useMultiBoard() {
+  const context = useContext(MultiBoardContext);
+  if (!context) {
+    throw new Error('useMultiBoard must be used within a MultiBoardProvider');
+  }
+  return context;
+}
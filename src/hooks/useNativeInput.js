@@ -0,0 +1,21 @@
+/**
+ * NATIVE INPUT HOOK
+ *
+ * Decides whether rows should render native <input> elements (to pop up the
+ * phone's keyboard) or the desktop-style display tiles driven by key events.
+ *
+ * - Desktop: never native inputs (physical keyboard + on-screen Keyboard)
+ * - Touch devices: native inputs only when the user picked the phone keyboard
+ *   in settings; otherwise the on-screen Keyboard sends the letters
+ *
+ * @returns {boolean} True if rows should use native inputs
+ */
+
+import useTouchDevice from './useTouchDevice';
+import useSettings from './useSettings';
+
+export default function useNativeInput() {
+  const isTouchDevice = useTouchDevice();
+  const { settings } = useSettings();
+  return isTouchDevice && settings.nativeKeyboard;
+}
@@ -0,0 +1,50 @@
+/**
+ * PAST ANSWERS HOOK
+ *
+ * Resolves the past-answer settings for a board: whether earlier daily
+ * answers are shown, faded or hidden, and which puzzle date "earlier" is
+ * measured from (today unless a date is set for solving from the archive).
+ *
+ * Only 5-letter boards have past answers; other lengths always show every word.
+ * The bundled list must also reach today's puzzle: an out-of-date list would
+ * fade or hide only some past answers, so the feature stays off until the
+ * list is updated (see src/data/pastAnswers.js).
+ *
+ * @param {number} wordLength - Word length of the board
+ * @returns {Object} Past answer settings
+ * @returns {boolean} returns.isAvailable - Whether the board's length has past answers and
+ *   the list covers every answer before today
+ * @returns {string} returns.mode - One of PAST_ANSWER_MODES (always SHOW when unavailable)
+ * @returns {string} returns.puzzleDate - Date of the puzzle being solved (YYYY-MM-DD)
+ * @returns {boolean} returns.isArchive - True when a date other than today is set
+ * @returns {string} returns.coveredUntil - Date of the last answer in the bundled list
+ * @returns {boolean} returns.isBeyondCoverage - True when answers between coveredUntil
+ *   and puzzleDate are missing from the list (so they can't be faded or hidden)
+ * @returns {string|null} returns.hideBefore - puzzleDate when hiding, otherwise null (for analysis payloads)
+ */
+
+import { useState } from 'react';
+import useSettings from './useSettings';
+import { toLocalDateString, hasAllPastAnswers, PAST_ANSWERS_COVERED_UNTIL } from '../utils/pastAnswers';
+import { PAST_ANSWER_MODES, WORD_LENGTH } from '../constants';
+
+export default function usePastAnswers(wordLength) {
+  const { settings } = useSettings();
+
+  // Today's date, read once (the board itself starts fresh at midnight anyway)
+  const [today] = useState(() => toLocalDateString());
+
+  const isAvailable = wordLength === WORD_LENGTH && hasAllPastAnswers(today);
+  const mode = isAvailable ? settings.pastAnswers : PAST_ANSWER_MODES.SHOW;
+  const puzzleDate = settings.puzzleDate ?? today;
+
+  return {
+    isAvailable,
+    mode,
+    puzzleDate,
+    isArchive: puzzleDate !== today,
+    coveredUntil: PAST_ANSWERS_COVERED_UNTIL,
+    isBeyondCoverage: !hasAllPastAnswers(puzzleDate),
+    hideBefore: mode === PAST_ANSWER_MODES.HIDE ? puzzleDate : null
+  };
+}
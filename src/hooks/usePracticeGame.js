@@ -0,0 +1,85 @@
+/**
+ * PRACTICE GAME HOOK
+ *
+ * Runs the built-in practice Wordle on top of the current board.
+ * Starting a game clears the board and switches to guess-row entry mode;
+ * each guess is then scored against the answer and submitted to the board
+ * (see GuessRows), so the cloud shows what's left after every guess.
+ *
+ * The answer and seed are remembered across refreshes (see utils/practiceGame.js);
+ * the guesses are saved with the board like any other guesses.
+ *
+ * @returns {Object} Practice game state and actions
+ * @returns {Object|null} returns.game - { answer, seed, wordLength, revealed } or null when not playing
+ * @returns {string|null} returns.status - 'playing', 'won' or 'lost' (null when not playing)
+ * @returns {number} returns.guessesUsed - Guesses played (up to the winning one)
+ * @returns {function} returns.startGame - Starts a new game: startGame(seed?) → { success, error? }
+ * @returns {function} returns.revealAnswer - Gives up and shows the answer
+ * @returns {function} returns.quitGame - Stops practicing (the board keeps its guesses)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useConstraints } from '../context/ConstraintContext';
+import { getLoadedWordLists } from '../utils/wordLists';
+import {
+  createPracticeSeed,
+  pickPracticeAnswer,
+  getPracticeStatus,
+  loadPracticeGame,
+  savePracticeGame
+} from '../utils/practiceGame';
+import { ENTRY_MODES } from '../constants';
+
+export default function usePracticeGame() {
+  const { guesses, wordLength, clearAll, setEntryMode } = useConstraints();
+
+  // Game in progress (a saved game only resumes for its own word length)
+  const [game, setGame] = useState(() => {
+    const saved = loadPracticeGame();
+    return saved?.wordLength === wordLength ? saved : null;
+  });
+
+  useEffect(() => {
+    savePracticeGame(game);
+  }, [game]);
+
+  // Start a new game with the given seed (random when empty)
+  // Returns { success: true/false, error?: string } for validation feedback
+  const startGame = useCallback((seedInput = '') => {
+    const lists = getLoadedWordLists(wordLength);
+    if (!lists) {
+      return { success: false, error: 'Word list is still loading' };
+    }
+
+    const seed = seedInput.trim().toLowerCase() || createPracticeSeed();
+    const answer = pickPracticeAnswer(lists.answers, seed);
+
+    clearAll();
+    setEntryMode(ENTRY_MODES.GUESSES);
+    setGame({ answer, seed, wordLength, revealed: false });
+
+    return { success: true };
+  }, [wordLength, clearAll, setEntryMode]);
+
+  const revealAnswer = useCallback(() => {
+    setGame(prev => (prev ? { ...prev, revealed: true } : prev));
+  }, []);
+
+  const quitGame = useCallback(() => {
+    setGame(null);
+  }, []);
+
+  // Giving up ends the game like running out of guesses
+  const { status, guessesUsed } = game
+    ? getPracticeStatus(guesses, game.answer)
+    : { status: null, guessesUsed: 0 };
+
+  return {
+    game,
+    status: status === 'playing' && game.revealed ? 'lost' : status,
+    guessesUsed,
+    startGame,
+    revealAnswer,
+    quitGame
+  };
+}
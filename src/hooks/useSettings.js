@@ -0,0 +1,28 @@
+/**
+ * SETTINGS HOOK
+ *
+ * The settings context object and the hook that reads it. Kept apart from
+ * SettingsProvider so that file only exports components (fast refresh).
+ */
+
+import { createContext, useContext } from 'react';
+
+// Provided by SettingsProvider (context/SettingsContext.jsx)
+export const SettingsContext = createContext();
+
+/**
+ * Custom Hook: useSettings()
+ *
+ * Use this in any component to read or change user settings.
+ * Example: const { settings, updateSetting } = useSettings();
+ *
+ * NOTE: This hook must be used inside a component that's wrapped by SettingsProvider,
+ * otherwise it will throw an error.
+ */
+export default function useSettings() {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error('useSettings must be used within a SettingsProvider');
+  }
+  return context;
+}
@@ -0,0 +1,46 @@
+/**
+ * WORD LISTS HOOK
+ *
+ * Returns the word lists for a word length, loading them on demand.
+ * 5-letter lists are bundled and ready immediately; other lengths are
+ * fetched as a separate chunk the first time they're needed.
+ *
+ * @param {number} length - Word length
+ * @returns {{ lists: Object|null, error: string|null }}
+ *   lists is null while loading (or if loading failed)
+ *
+ * @example
+ * const { lists } = useWordLists(6);
+ * const words = lists ? getWordListForMode(mode, lists) : [];
+ */
+
+import { useState, useEffect } from 'react';
+import { getLoadedWordLists, loadWordLists } from '../utils/wordLists';
+
+export default function useWordLists(length) {
+  // Last finished load (only used to re-render and report errors)
+  const [loadResult, setLoadResult] = useState({ length: null, error: null });
+
+  useEffect(() => {
+    if (getLoadedWordLists(length)) return;
+
+    let isCurrent = true;
+    loadWordLists(length)
+      .then(() => {
+        if (isCurrent) setLoadResult({ length, error: null });
+      })
+      .catch((error) => {
+        console.error(`Could not load the ${length}-letter word list:`, error);
+        if (isCurrent) setLoadResult({ length, error: error.message });
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [length]);
+
+  return {
+    lists: getLoadedWordLists(length),
+    error: loadResult.length === length ? loadResult.error : null
+  };
+}
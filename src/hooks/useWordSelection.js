@@ -2,17 +2,20 @@
  * WORD SELECTION HOOK
  *
  * Custom hook for selecting and sizing words for the word cloud.
- * Handles two modes: stable (deterministic) and dynamic (random).
+ * Words are ranked by likelihood (see utils/wordScore.js): the cloud shows
+ * the top-ranked words, in rank order, with the likeliest ones biggest.
  *
  * Features:
- * - Stable mode (≤40 words): Hash-based ordering, deterministic sizes, dramatic scaling
- * - Dynamic mode (>40 words): Random selection, random sizes
- * - Performance optimized with useMemo
+ * - Deterministic: the same words always give the same cloud
+ * - Shows the top maxDisplayWords when more words match
+ * - Stable mode (≤ maxDisplayWords): every match is shown, smooth animations
  * - Progressive dramatic scaling (fewer words = larger fonts)
+ * - Performance optimized with useMemo
  */
 
 import { useMemo } from 'react';
-import { shuffleArray, hashWord, getFontSizeRange } from '../utils/wordCloudHelpers';
+import { getFontSizeRange } from '../utils/wordCloudHelpers';
+import { rankWords, getSizeForRank } from '../utils/wordScore';
 
 /**
  * Selects and sizes words for display in the word cloud
@@ -20,33 +23,32 @@ import { shuffleArray, hashWord, getFontSizeRange } from '../utils/wordCloudHelp
  * @param {string[]} filteredWords - Array of words that match current constraints
  * @param {string[]} fontSizes - Array of Tailwind font size classes
  * @param {number} maxDisplayWords - Maximum number of words to display
+ * @param {number} wordLength - Word length of the board
  * @returns {{ wordsWithSizes: Array, isStableMode: boolean }}
  */
-export default function useWordSelection(filteredWords, fontSizes, maxDisplayWords) {
+export default function useWordSelection(filteredWords, fontSizes, maxDisplayWords, wordLength) {
   const { wordsWithSizes, isStableMode } = useMemo(() => {
     const isStableMode = filteredWords.length <= maxDisplayWords;
 
-    // STEP 1: Select which words to display
-    const wordsToShow = isStableMode
-      ? [...filteredWords].sort((a, b) => hashWord(a) - hashWord(b))  // Stable: hash-based "random" order
-      : shuffleArray(filteredWords).slice(0, maxDisplayWords);         // Dynamic: true random selection
+    // STEP 1: Rank every match and keep the likeliest
+    const wordsToShow = rankWords(filteredWords, wordLength).slice(0, maxDisplayWords);
 
-    // STEP 2: Determine available font sizes (dramatic scaling in stable mode)
+    // STEP 2: Determine available font sizes (dramatic scaling when few words are left)
     const availableSizes = isStableMode
       ? getFontSizeRange(filteredWords.length, fontSizes)  // Fewer words = larger fonts
       : fontSizes;                                          // All sizes available
 
-    // STEP 3: Assign sizes and create display objects
-    const wordsWithSizes = wordsToShow.map((word, index) => ({
+    // STEP 3: Size by rank (likeliest = biggest) and create display objects
+    const wordsWithSizes = wordsToShow.map(({ word, score, isAnswer }, rank) => ({
       word,
-      size: isStableMode
-        ? availableSizes[hashWord(word) % availableSizes.length]                // Deterministic size
-        : availableSizes[Math.floor(Math.random() * availableSizes.length)],    // Random size
-      id: isStableMode ? word : `${word}-${index}`  // Stable keys prevent re-animation
+      score,
+      isAnswer,
+      size: getSizeForRank(rank, wordsToShow.length, availableSizes),
+      id: word  // Stable keys prevent re-animation
     }));
 
     return { wordsWithSizes, isStableMode };
-  }, [filteredWords, fontSizes, maxDisplayWords]);
+  }, [filteredWords, fontSizes, maxDisplayWords, wordLength]);
 
   return { wordsWithSizes, isStableMode };
 }
@@ -0,0 +1,90 @@
+/**
+ * BOARD STORAGE
+ *
+ * Saves the current board (constraints, guesses, undo/redo history) to
+ * localStorage so a refresh or a phone tab eviction doesn't wipe the game.
+ *
+ * Expiry:
+ * - Each save records the next local midnight as its expiry time
+ * - A board loaded after that time is discarded, because a new daily
+ *   puzzle has started and yesterday's constraints no longer apply
+ *
+ * Multi-board mode saves each board under its own key (see getBoardStorageKey).
+ *
+ * All functions fail quietly (private browsing, quota errors, corrupt data):
+ * losing persistence should never break the app.
+ */
+
+import { BOARD_STORAGE_KEY } from '../constants';
+
+// Bump when the saved shape changes so old saves are ignored instead of misread
+const STORAGE_VERSION = 1;
+
+/**
+ * Returns the timestamp of the next local midnight
+ *
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {number} Milliseconds since epoch of the upcoming 00:00 local time
+ *
+ * @example
+ * getNextLocalMidnight(new Date(2026, 0, 6, 22, 30)) // → 2026-01-07 00:00 local
+ */
+export function getNextLocalMidnight(now = new Date()) {
+  const midnight = new Date(now);
+  midnight.setHours(24, 0, 0, 0);
+  return midnight.getTime();
+}
+
+/**
+ * Returns the localStorage key for a board
+ *
+ * @param {string|null} boardId - Board id in multi-board mode (null for the single board)
+ * @returns {string} e.g. 'wordleBoard' or 'wordleBoard:4-0'
+ */
+export function getBoardStorageKey(boardId = null) {
+  return boardId === null ? BOARD_STORAGE_KEY : `${BOARD_STORAGE_KEY}:${boardId}`;
+}
+
+/**
+ * Loads the saved board if it exists and hasn't expired
+ *
+ * @param {string} storageKey - localStorage key (see getBoardStorageKey)
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {Object|null} Saved board ({ green, yellow, gray, guesses, entryMode, wordLength, history, future }) or null
+ */
+export function loadBoard(storageKey = BOARD_STORAGE_KEY, now = Date.now()) {
+  if (typeof window === 'undefined') return null;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    if (!saved) return null;
+
+    if (saved.version !== STORAGE_VERSION || now >= saved.expiresAt) {
+      localStorage.removeItem(storageKey);
+      return null;
+    }
+
+    return saved.board;
+  } catch (error) {
+    console.warn('Could not restore saved board:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves the board, expiring at the next local midnight
+ *
+ * @param {Object} board - { green, yellow, gray, guesses, entryMode, wordLength, history, future }
+ * @param {string} storageKey - localStorage key (see getBoardStorageKey)
+ */
+export function saveBoard(board, storageKey = BOARD_STORAGE_KEY) {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify({
+      version: STORAGE_VERSION,
+      expiresAt: getNextLocalMidnight(),
+      board
+    }));
+  } catch (error) {
+    console.warn('Could not save board:', error);
+  }
+}
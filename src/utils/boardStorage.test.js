@@ -0,0 +1,82 @@
+/**
+ * BOARD STORAGE TESTS
+ *
+ * Runs against an in-memory localStorage stand-in.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getNextLocalMidnight, getBoardStorageKey, loadBoard, saveBoard } from './boardStorage';
+import { BOARD_STORAGE_KEY } from '../constants';
+
+const BOARD = { green: { 0: 'C' }, yellow: {}, gray: ['E'], guesses: [], entryMode: 'rows', wordLength: 5, history: [], future: [] };
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+beforeEach(() => {
+  vi.stubGlobal('window', {});
+  vi.stubGlobal('localStorage', createMemoryStorage());
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('getNextLocalMidnight', () => {
+  it('returns the upcoming 00:00 local time', () => {
+    expect(getNextLocalMidnight(new Date(2026, 0, 6, 22, 30))).toBe(new Date(2026, 0, 7).getTime());
+    expect(getNextLocalMidnight(new Date(2026, 0, 6, 0, 0))).toBe(new Date(2026, 0, 7).getTime());
+  });
+});
+
+describe('getBoardStorageKey', () => {
+  it('gives each multi-board board its own key', () => {
+    expect(getBoardStorageKey()).toBe(BOARD_STORAGE_KEY);
+    expect(getBoardStorageKey('4-0')).toBe(`${BOARD_STORAGE_KEY}:4-0`);
+  });
+});
+
+describe('saveBoard / loadBoard', () => {
+  it('restores a board saved earlier the same day', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2026, 0, 6, 9, 0));
+    saveBoard(BOARD);
+
+    expect(loadBoard(BOARD_STORAGE_KEY, new Date(2026, 0, 6, 23, 59).getTime())).toEqual(BOARD);
+  });
+
+  it('discards the board at local midnight', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2026, 0, 6, 23, 50));
+    saveBoard(BOARD);
+
+    expect(loadBoard(BOARD_STORAGE_KEY, new Date(2026, 0, 7, 0, 0).getTime())).toBeNull();
+    expect(localStorage.getItem(BOARD_STORAGE_KEY)).toBeNull();
+  });
+
+  it('ignores saves from another storage version and corrupt data', () => {
+    localStorage.setItem(BOARD_STORAGE_KEY, JSON.stringify({ version: 0, expiresAt: Infinity, board: BOARD }));
+    expect(loadBoard()).toBeNull();
+
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem(BOARD_STORAGE_KEY, '{not json');
+    expect(loadBoard()).toBeNull();
+  });
+
+  it('fails quietly when storage is full', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem = () => {
+      throw new Error('QuotaExceededError');
+    };
+
+    expect(() => saveBoard(BOARD)).not.toThrow();
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * BOARD URL ENCODING
+ *
+ * Encodes the board into a short query string so a link opens the app
+ * with the same constraints (and the same filtered cloud).
+ *
+ * Format (only non-empty parts are written):
+ * - Rows mode:
+ *   g=A.T..E        Green letter per position, '.' for empty
+ *   y=E.RS...       Yellow letters per position, positions separated by '.'
+ *   x=BCD           Gray letters
+ * - Guess mode:
+ *   w=CRANE01200.SLATE00022
+ *                   Each guess is the word followed by one digit per tile
+ *                   (0 gray, 1 yellow, 2 green), guesses separated by '.'
+ * - Any mode:
+ *   n=7             Word length (only written when it isn't WORD_LENGTH)
+ *
+ * Example: ?g=..A..&y=E....&x=CRNST
+ *
+ * Other query parameters are left alone when the URL is rewritten.
+ */
+
+import { getPositionIndices, createEmptyGreen, createEmptyYellow } from './wordLength';
+import { ENTRY_MODES, WORD_LENGTH, WORD_LENGTH_OPTIONS } from '../constants';
+
+// Query parameter names
+const PARAMS = {
+  GREEN: 'g',
+  YELLOW: 'y',
+  GRAY: 'x',
+  GUESSES: 'w',
+  LENGTH: 'n'
+};
+
+// Tile color <-> digit (same order as feedback codes in guessLogic)
+const COLOR_DIGITS = { gray: '0', yellow: '1', green: '2' };
+const DIGIT_COLORS = ['gray', 'yellow', 'green'];
+
+const SEPARATOR = '.';
+const EMPTY_SLOT = '.';
+
+// Keeps only A-Z, uppercased, without repeats
+const toLetters = (text) => [...new Set(text.toUpperCase().replace(/[^A-Z]/g, ''))];
+
+/**
+ * Reads the word length from query parameters
+ *
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {number|null} Length from the n parameter, or null if missing or unsupported
+ */
+export function decodeWordLength(params) {
+  const length = Number(params.get(PARAMS.LENGTH));
+  return WORD_LENGTH_OPTIONS.includes(length) ? length : null;
+}
+
+/**
+ * Builds query parameters for a board
+ *
+ * @param {Object} board - { green, yellow, gray, guesses, entryMode, wordLength? }
+ * @returns {URLSearchParams} Parameters for the active entry mode (empty for a blank 5-letter board)
+ *
+ * @example
+ * encodeBoard({ green: { 2: 'A' }, yellow: { 0: ['E'] }, gray: ['C'], entryMode: 'rows' }).toString()
+ * // → 'g=..A..&y=E....&x=C'
+ */
+export function encodeBoard({ green, yellow, gray, guesses, entryMode, wordLength = WORD_LENGTH }) {
+  const params = new URLSearchParams();
+  const positions = getPositionIndices(wordLength);
+
+  if (wordLength !== WORD_LENGTH) {
+    params.set(PARAMS.LENGTH, String(wordLength));
+  }
+
+  if (entryMode === ENTRY_MODES.GUESSES) {
+    if (guesses.length > 0) {
+      params.set(PARAMS.GUESSES, guesses
+        .map(({ word, colors }) => word + colors.map(color => COLOR_DIGITS[color]).join(''))
+        .join(SEPARATOR));
+    }
+    return params;
+  }
+
+  if (positions.some(i => green[i])) {
+    params.set(PARAMS.GREEN, positions.map(i => green[i] || EMPTY_SLOT).join(''));
+  }
+  if (positions.some(i => yellow[i]?.length > 0)) {
+    params.set(PARAMS.YELLOW, positions.map(i => (yellow[i] || []).join('')).join(SEPARATOR));
+  }
+  if (gray.length > 0) {
+    params.set(PARAMS.GRAY, gray.join(''));
+  }
+
+  return params;
+}
+
+/**
+ * Parses a board from query parameters
+ * Malformed parts are skipped rather than rejecting the whole link
+ *
+ * @param {URLSearchParams} params - Query parameters (e.g., from window.location.search)
+ * @returns {Object|null} { green, yellow, gray, guesses, entryMode, wordLength }, or null if the URL has no board
+ */
+export function decodeBoard(params) {
+  const wordLength = decodeWordLength(params) ?? WORD_LENGTH;
+  const green = createEmptyGreen(wordLength);
+  const yellow = createEmptyYellow(wordLength);
+
+  // Guess mode: the guess stack is the whole board
+  const guessParam = params.get(PARAMS.GUESSES);
+  if (guessParam !== null) {
+    const guesses = guessParam
+      .split(SEPARATOR)
+      .map(entry => entry.match(new RegExp(`^([A-Za-z]{${wordLength}})([012]{${wordLength}})$`)))
+      .filter(Boolean)
+      .map(([, word, digits]) => ({
+        word: word.toUpperCase(),
+        colors: [...digits].map(digit => DIGIT_COLORS[digit])
+      }));
+
+    if (guesses.length === 0) return null;
+    return { green, yellow, gray: [], guesses, entryMode: ENTRY_MODES.GUESSES, wordLength };
+  }
+
+  const greenParam = params.get(PARAMS.GREEN);
+  const yellowParam = params.get(PARAMS.YELLOW);
+  const grayParam = params.get(PARAMS.GRAY);
+  if (greenParam === null && yellowParam === null && grayParam === null) return null;
+
+  if (greenParam) {
+    getPositionIndices(wordLength).forEach(i => {
+      const letter = greenParam[i]?.toUpperCase();
+      if (letter && /^[A-Z]$/.test(letter)) green[i] = letter;
+    });
+  }
+
+  if (yellowParam) {
+    yellowParam.split(SEPARATOR).slice(0, wordLength).forEach((letters, i) => {
+      // A letter can't be yellow where it's green
+      yellow[i] = toLetters(letters).filter(letter => letter !== green[i]);
+    });
+  }
+
+  const gray = grayParam ? toLetters(grayParam) : [];
+
+  return { green, yellow, gray, guesses: [], entryMode: ENTRY_MODES.ROWS, wordLength };
+}
+
+/**
+ * Reads the board from the current page URL
+ *
+ * @returns {Object|null} Board from the link, or null if there isn't one
+ */
+export function readBoardFromUrl() {
+  if (typeof window === 'undefined') return null;
+  return decodeBoard(new URLSearchParams(window.location.search));
+}
+
+/**
+ * Reads the word length from the current page URL
+ * Lets a shared link set the word length for the page before the board loads,
+ * without changing the saved setting (see SettingsContext)
+ * (a link with a board but no n parameter is a WORD_LENGTH board)
+ *
+ * @returns {number|null} Length from the link, or null if it doesn't set one
+ */
+export function readWordLengthFromUrl() {
+  if (typeof window === 'undefined') return null;
+  const params = new URLSearchParams(window.location.search);
+  return decodeWordLength(params) ?? (decodeBoard(params) ? WORD_LENGTH : null);
+}
+
+/**
+ * Rewrites the page URL to match the board (no new history entry)
+ * Keeps unrelated query parameters and the hash
+ *
+ * @param {Object|null} board - { green, yellow, gray, guesses, entryMode, wordLength }, or null to remove the board
+ */
+export function writeBoardToUrl(board) {
+  const url = new URL(window.location.href);
+  Object.values(PARAMS).forEach(name => url.searchParams.delete(name));
+  if (board) {
+    encodeBoard(board).forEach((value, name) => url.searchParams.set(name, value));
+  }
+
+  // Letters, digits and '.' need no escaping, so the link stays readable
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, '', url.href);
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * BOARD URL ENCODING TESTS
+ */
+
+import { describe, it, expect } from 'vitest';
+import { encodeBoard, decodeBoard, decodeWordLength } from './boardUrl';
+import { createEmptyGreen, createEmptyYellow } from './wordLength';
+import { ENTRY_MODES } from '../constants';
+
+function rowsBoard(wordLength, { green = {}, yellow = {}, gray = [] } = {}) {
+  return {
+    green: { ...createEmptyGreen(wordLength), ...green },
+    yellow: { ...createEmptyYellow(wordLength), ...yellow },
+    gray,
+    guesses: [],
+    entryMode: ENTRY_MODES.ROWS,
+    wordLength
+  };
+}
+
+describe('encodeBoard / decodeBoard', () => {
+  it('round-trips a rows board', () => {
+    const board = rowsBoard(5, { green: { 2: 'A' }, yellow: { 0: ['E'], 3: ['R', 'S'] }, gray: ['C', 'N'] });
+    const params = encodeBoard(board);
+
+    expect(params.toString()).toBe('g=..A..&y=E...RS.&x=CN');
+    expect(decodeBoard(params)).toEqual(board);
+  });
+
+  it('round-trips a guess board of another length', () => {
+    const board = {
+      ...rowsBoard(6),
+      guesses: [{ word: 'PLANET', colors: ['gray', 'yellow', 'green', 'gray', 'gray', 'green'] }],
+      entryMode: ENTRY_MODES.GUESSES
+    };
+    const params = encodeBoard(board);
+
+    expect(params.toString()).toBe('n=6&w=PLANET012002');
+    expect(decodeBoard(params)).toEqual(board);
+  });
+
+  it('writes nothing for an empty 5-letter board', () => {
+    expect(encodeBoard(rowsBoard(5)).toString()).toBe('');
+    expect(decodeBoard(new URLSearchParams(''))).toBeNull();
+  });
+});
+
+describe('decodeBoard', () => {
+  it('skips malformed parts instead of rejecting the link', () => {
+    const board = decodeBoard(new URLSearchParams('g=1.a&y=b.c.ad&x=e-e'));
+
+    expect(board.green).toEqual({ 0: null, 1: null, 2: 'A', 3: null, 4: null });
+    // A can't be yellow where it's green
+    expect(board.yellow).toEqual({ 0: ['B'], 1: ['C'], 2: ['D'], 3: [], 4: [] });
+    expect(board.gray).toEqual(['E']);
+  });
+
+  it('drops guesses that don\'t fit the word length', () => {
+    expect(decodeBoard(new URLSearchParams('w=CRANE0120'))).toBeNull();
+    expect(decodeBoard(new URLSearchParams('w=CRANE01200.BAD')).guesses).toHaveLength(1);
+  });
+});
+
+describe('decodeWordLength', () => {
+  it('accepts supported lengths only', () => {
+    expect(decodeWordLength(new URLSearchParams('n=7'))).toBe(7);
+    expect(decodeWordLength(new URLSearchParams('n=3'))).toBeNull();
+    expect(decodeWordLength(new URLSearchParams(''))).toBeNull();
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * CONTRADICTION DETECTION
+ *
+ * Works out why no word can match, so the empty cloud can explain itself
+ * and the rows can point at the tiles that clash.
+ *
+ * Checks:
+ * - A letter that is green at a position but also ruled out there
+ * - A letter required more times than gray copies allow (in and not in the word)
+ * - A letter with nowhere left to go (e.g., yellow in every position)
+ * - More required letters than the word has room for
+ * - Guess mode only: two guesses with different greens at the same position,
+ *   and guesses that aren't in the word list (usually a typo)
+ *
+ * Each conflict names the letters (and optionally positions / guesses) involved.
+ * isTileInConflict() decides whether a tile should be highlighted.
+ */
+
+import { getLetterCountConstraints } from './filterLogic';
+import { isValidWord } from './wordLists';
+import { getPositionIndices } from './wordLength';
+import { WORD_LENGTH } from '../constants';
+
+// "E" → "an E", "S" → "an S" (letters named with a vowel sound take "an")
+const withArticle = (letter) => (/[AEFHILMNORSX]/.test(letter) ? `an ${letter}` : `a ${letter}`);
+
+// 0 → "1" (user-facing positions are 1-indexed)
+const formatPosition = (position) => String(position + 1);
+
+/**
+ * Finds constraints that can't all be true at once
+ *
+ * @param {Object} constraints - Same object filterWordList takes ({ green, yellow, gray, counts? })
+ * @param {Array<{word: string, colors: string[]}>} [guesses] - Guess stack (guess entry mode only)
+ * @param {number} [wordLength] - Word length of the board
+ * @returns {Array<{ message: string, letters: string[], positions?: number[], guessIndices?: number[] }>}
+ *   One entry per conflict (empty array when nothing clashes)
+ *
+ * @example
+ * findContradictions({ green: {}, yellow: { 0: ['E'], 1: ['E'], 2: ['E'], 3: ['E'], 4: ['E'] }, gray: [] })
+ * // → [{ message: 'E is yellow in every position, so there is nowhere left for it', letters: ['E'], positions: [0, 1, 2, 3, 4] }]
+ */
+export function findContradictions(constraints, guesses = [], wordLength = WORD_LENGTH) {
+  const { green, yellow } = constraints;
+  const positions = getPositionIndices(wordLength);
+  const letterCounts = getLetterCountConstraints(constraints);
+  const conflicts = [];
+
+  // ========================================
+  // GUESS CHECKS (guess entry mode)
+  // ========================================
+
+  // Two guesses can't have different green letters in the same position
+  positions.forEach(position => {
+    const greenLetters = [...new Set(guesses
+      .filter(({ colors }) => colors[position] === 'green')
+      .map(({ word }) => word[position].toUpperCase()))];
+
+    if (greenLetters.length > 1) {
+      conflicts.push({
+        message: `Position ${formatPosition(position)} is green as both ${greenLetters.join(' and ')}`,
+        letters: greenLetters,
+        positions: [position]
+      });
+    }
+  });
+
+  // Words outside the list are usually typos (and their colors can't be trusted)
+  guesses.forEach(({ word }, guessIndex) => {
+    if (!isValidWord(word)) {
+      conflicts.push({
+        message: `${word.toUpperCase()} isn't in the word list - check for a typo`,
+        letters: [],
+        guessIndices: [guessIndex]
+      });
+    }
+  });
+
+  // ========================================
+  // CONSTRAINT CHECKS
+  // ========================================
+
+  // A green letter can't also be ruled out at its own position
+  positions.forEach(position => {
+    const letter = green[position];
+    if (letter && yellow[position]?.includes(letter)) {
+      conflicts.push({
+        message: `${letter} is green in position ${formatPosition(position)} but also marked as not belonging there`,
+        letters: [letter],
+        positions: [position]
+      });
+    }
+  });
+
+  Object.entries(letterCounts).forEach(([letter, { min, max }]) => {
+    if (min === 0) return;
+
+    // Gray copies cap the count below what green/yellow tiles require
+    if (min > max) {
+      conflicts.push({
+        message: max === 0
+          ? `${letter} is marked as both in the word and not in the word`
+          : `The word needs at least ${min} ${letter}s, but gray tiles allow only ${max}`,
+        letters: [letter]
+      });
+      return;
+    }
+
+    // Positions still open to the letter: its own greens, plus empty slots it isn't excluded from
+    const blockedPositions = positions.filter(position => (
+      (green[position] && green[position] !== letter) ||
+      (!green[position] && yellow[position]?.includes(letter))
+    ));
+    const openCount = wordLength - blockedPositions.length;
+
+    if (openCount < min) {
+      const yellowPositions = positions.filter(position => yellow[position]?.includes(letter));
+      conflicts.push({
+        message: yellowPositions.length === wordLength
+          ? `${letter} is yellow in every position, so there is nowhere left for it`
+          : `There is nowhere left to put ${withArticle(letter)}: every open position rules it out`,
+        letters: [letter],
+        // Point at the yellow tiles (or every tile of the letter if it has none)
+        ...(yellowPositions.length > 0 && { positions: yellowPositions })
+      });
+    }
+  });
+
+  // Required letters can't add up to more than the word length
+  const requiredLetters = Object.keys(letterCounts).filter(letter => letterCounts[letter].min > 0);
+  const requiredTotal = requiredLetters.reduce((sum, letter) => sum + letterCounts[letter].min, 0);
+  if (requiredTotal > wordLength) {
+    conflicts.push({
+      message: `${requiredTotal} letters are required (${requiredLetters.join(', ')}) but the word only has ${wordLength}`,
+      letters: requiredLetters
+    });
+  }
+
+  return conflicts;
+}
+
+/**
+ * Checks whether a tile is part of a conflict (for highlighting)
+ *
+ * A tile matches when its guess is named by the conflict, or when its letter
+ * is named and the conflict is either not about specific positions or names
+ * the tile's position. Tiles without a position (gray letters) only match
+ * position-free conflicts.
+ *
+ * @param {Array} conflicts - Result of findContradictions()
+ * @param {Object} tile - { letter, position?, guessIndex? }
+ * @returns {boolean} True if the tile should be highlighted
+ */
+export function isTileInConflict(conflicts, { letter, position, guessIndex }) {
+  return conflicts.some(conflict => {
+    if (guessIndex !== undefined && conflict.guessIndices?.includes(guessIndex)) {
+      return true;
+    }
+    if (!letter || !conflict.letters.includes(letter)) {
+      return false;
+    }
+    if (!conflict.positions) {
+      return true;
+    }
+    return position !== undefined && conflict.positions.includes(position);
+  });
+}
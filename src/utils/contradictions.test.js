@@ -0,0 +1,96 @@
+/**
+ * CONTRADICTION DETECTION TESTS
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findContradictions, isTileInConflict } from './contradictions';
+import { createEmptyGreen, createEmptyYellow } from './wordLength';
+
+const constraintsWith = ({ green = {}, yellow = {}, gray = [] }) => ({
+  green: { ...createEmptyGreen(5), ...green },
+  yellow: { ...createEmptyYellow(5), ...yellow },
+  gray
+});
+
+describe('findContradictions', () => {
+  it('finds nothing in constraints that can all hold', () => {
+    const constraints = constraintsWith({ green: { 0: 'C' }, yellow: { 1: ['A'] }, gray: ['T'] });
+
+    expect(findContradictions(constraints)).toEqual([]);
+  });
+
+  it('flags a green letter that is also ruled out at its position', () => {
+    const constraints = constraintsWith({ green: { 2: 'A' }, yellow: { 2: ['A'] } });
+
+    expect(findContradictions(constraints)).toContainEqual({
+      message: 'A is green in position 3 but also marked as not belonging there',
+      letters: ['A'],
+      positions: [2]
+    });
+  });
+
+  it('flags a letter that is both in and not in the word', () => {
+    const constraints = constraintsWith({ yellow: { 0: ['R'] }, gray: ['R'] });
+    constraints.counts = { R: { min: 1, max: 0 } };
+
+    expect(findContradictions(constraints)[0]).toEqual({
+      message: 'R is marked as both in the word and not in the word',
+      letters: ['R']
+    });
+  });
+
+  it('flags a yellow letter with nowhere left to go', () => {
+    const yellow = { 0: ['E'], 1: ['E'], 2: ['E'], 3: ['E'], 4: ['E'] };
+
+    expect(findContradictions(constraintsWith({ yellow }))).toEqual([{
+      message: 'E is yellow in every position, so there is nowhere left for it',
+      letters: ['E'],
+      positions: [0, 1, 2, 3, 4]
+    }]);
+  });
+
+  it('flags more required letters than the word has room for', () => {
+    const constraints = constraintsWith({
+      green: { 0: 'A', 1: 'B', 2: 'C', 3: 'D' },
+      yellow: { 0: ['E', 'F'] }
+    });
+    const conflict = findContradictions(constraints).at(-1);
+
+    expect(conflict.message).toBe('6 letters are required (A, B, C, D, E, F) but the word only has 5');
+  });
+
+  it('flags guesses with different greens at one position and unknown words', () => {
+    const guesses = [
+      { word: 'crane', colors: ['green', 'gray', 'gray', 'gray', 'gray'] },
+      { word: 'qxzvw', colors: ['green', 'gray', 'gray', 'gray', 'gray'] }
+    ];
+    const conflicts = findContradictions(constraintsWith({}), guesses);
+
+    expect(conflicts[0]).toEqual({ message: 'Position 1 is green as both C and Q', letters: ['C', 'Q'], positions: [0] });
+    expect(conflicts[1]).toEqual({ message: "QXZVW isn't in the word list - check for a typo", letters: [], guessIndices: [1] });
+  });
+});
+
+describe('isTileInConflict', () => {
+  const conflicts = [
+    { message: '', letters: ['A'], positions: [2] },
+    { message: '', letters: ['R'] },
+    { message: '', letters: [], guessIndices: [1] }
+  ];
+
+  it('matches tiles at the named positions only', () => {
+    expect(isTileInConflict(conflicts, { letter: 'A', position: 2 })).toBe(true);
+    expect(isTileInConflict(conflicts, { letter: 'A', position: 0 })).toBe(false);
+    expect(isTileInConflict(conflicts, { letter: 'A' })).toBe(false);
+  });
+
+  it('matches every tile of a letter when no position is named', () => {
+    expect(isTileInConflict(conflicts, { letter: 'R' })).toBe(true);
+    expect(isTileInConflict(conflicts, { letter: 'R', position: 4 })).toBe(true);
+  });
+
+  it('matches every tile of a named guess', () => {
+    expect(isTileInConflict(conflicts, { letter: 'Z', position: 0, guessIndex: 1 })).toBe(true);
+    expect(isTileInConflict(conflicts, { letter: 'Z', position: 0, guessIndex: 0 })).toBe(false);
+  });
+});
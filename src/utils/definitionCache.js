@@ -0,0 +1,188 @@
+/**
+ * DEFINITION CACHE
+ *
+ * Remembers definitions fetched from the online dictionaries, so reopening a
+ * word never fetches it again - across components and across reloads.
+ *
+ * How it works:
+ * - One shared cache for the whole app (module state, like the word lists)
+ * - In memory: a Map kept in least-recently-used order (a hit moves the word
+ *   to the end, the first key is the one to drop)
+ * - On disk: the same records in IndexedDB, so they survive a reload
+ * - Each record expires: DEFINITION_CACHE_TTL_MS for definitions,
+ *   DEFINITION_NOT_FOUND_TTL_MS for words no dictionary knows (negative caching)
+ * - Both copies hold at most MAX_DEFINITION_CACHE_SIZE words
+ *
+ * All functions fail quietly (private browsing, blocked storage, quota
+ * errors): without IndexedDB the cache just lives in memory.
+ */
+
+import {
+  MAX_DEFINITION_CACHE_SIZE,
+  DEFINITION_CACHE_TTL_MS,
+  DEFINITION_NOT_FOUND_TTL_MS,
+  DEFINITION_CACHE_DB_NAME
+} from '../constants';
+
+// IndexedDB layout (bump the version when the record shape changes)
+const DB_VERSION = 1;
+const STORE_NAME = 'definitions';
+const LAST_USED_INDEX = 'lastUsed';
+
+// Records by word, least recently used first: { word, definition, expiresAt, lastUsed }
+const memory = new Map();
+
+// Opened database (null when IndexedDB is unavailable), shared by every caller
+let databasePromise = null;
+
+/**
+ * Wraps an IndexedDB request in a promise
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens the cache database (once)
+ *
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB can't be used
+ */
+function openDatabase() {
+  databasePromise ??= new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(DEFINITION_CACHE_DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'word' });
+        store.createIndex(LAST_USED_INDEX, 'lastUsed');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
+  });
+
+  return databasePromise;
+}
+
+/**
+ * Runs a callback against the store in a transaction
+ *
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store, returns a promise
+ * @returns {Promise<*>} The callback's result (null if IndexedDB is unavailable or fails)
+ */
+async function withStore(mode, callback) {
+  try {
+    const database = await openDatabase();
+    if (!database) return null;
+    return await callback(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+  } catch (error) {
+    console.warn('Definition cache storage failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Adds a record to the in-memory cache as the most recently used,
+ * dropping the least recently used words over the limit
+ */
+function remember(record) {
+  memory.delete(record.word);
+  memory.set(record.word, record);
+
+  while (memory.size > MAX_DEFINITION_CACHE_SIZE) {
+    memory.delete(memory.keys().next().value);
+  }
+}
+
+/**
+ * Deletes the least recently used records over the limit from IndexedDB
+ */
+function pruneStore(store) {
+  return requestToPromise(store.count()).then(count => {
+    let excess = count - MAX_DEFINITION_CACHE_SIZE;
+    if (excess <= 0) return;
+
+    return new Promise((resolve, reject) => {
+      const request = store.index(LAST_USED_INDEX).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || excess <= 0) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  });
+}
+
+/**
+ * Looks a word up in the cache
+ * Expired records are deleted and count as a miss.
+ *
+ * @param {string} word - Word in any case
+ * @param {number} [now] - Current time in ms (default: Date.now())
+ * @returns {Promise<{ definition: Array|null }|null>} null on a miss; otherwise
+ *   the cached definition (Free Dictionary API format), or definition: null
+ *   when the word is known to have no definition
+ *
+ * @example
+ * await getCachedDefinition('xylyl') // → null (never looked up)
+ * await getCachedDefinition('crane') // → { definition: [{ word: 'crane', ... }] }
+ */
+export async function getCachedDefinition(word, now = Date.now()) {
+  const wordLower = word.toLowerCase();
+  const record = memory.get(wordLower) ?? await withStore('readonly', store => requestToPromise(store.get(wordLower)));
+  if (!record) return null;
+
+  if (record.expiresAt <= now) {
+    memory.delete(wordLower);
+    withStore('readwrite', store => requestToPromise(store.delete(wordLower)));
+    return null;
+  }
+
+  // Mark as most recently used (in memory now, on disk in the background)
+  const used = { ...record, lastUsed: now };
+  remember(used);
+  withStore('readwrite', store => requestToPromise(store.put(used)));
+
+  return { definition: used.definition };
+}
+
+/**
+ * Saves a lookup result to the cache
+ *
+ * @param {string} word - Word in any case
+ * @param {Array|null} definition - Definition (Free Dictionary API format),
+ *   or null when no dictionary has the word
+ * @param {number} [now] - Current time in ms (default: Date.now())
+ * @returns {Promise<void>} Resolves once saved to IndexedDB (or that failed)
+ */
+export async function cacheDefinition(word, definition, now = Date.now()) {
+  const record = {
+    word: word.toLowerCase(),
+    definition,
+    expiresAt: now + (definition ? DEFINITION_CACHE_TTL_MS : DEFINITION_NOT_FOUND_TTL_MS),
+    lastUsed: now
+  };
+
+  remember(record);
+  await withStore('readwrite', async store => {
+    await requestToPromise(store.put(record));
+    await pruneStore(store);
+  });
+}
@@ -0,0 +1,63 @@
+/**
+ * DEFINITION CACHE TESTS
+ *
+ * The test environment has no IndexedDB, so these cover the in-memory cache
+ * (each test gets a fresh copy of the module).
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  MAX_DEFINITION_CACHE_SIZE,
+  DEFINITION_CACHE_TTL_MS,
+  DEFINITION_NOT_FOUND_TTL_MS
+} from '../constants';
+
+const CRANE = [{ word: 'crane', meanings: [] }];
+const NOW = 1_000_000;
+
+let getCachedDefinition;
+let cacheDefinition;
+
+beforeEach(async () => {
+  vi.resetModules();
+  ({ getCachedDefinition, cacheDefinition } = await import('./definitionCache'));
+});
+
+describe('definition cache', () => {
+  it('misses words that were never cached', async () => {
+    expect(await getCachedDefinition('xylyl', NOW)).toBeNull();
+  });
+
+  it('returns a cached definition in any case', async () => {
+    await cacheDefinition('CRANE', CRANE, NOW);
+
+    expect(await getCachedDefinition('crane', NOW + 1)).toEqual({ definition: CRANE });
+  });
+
+  it('remembers words no dictionary knows, for a shorter time', async () => {
+    await cacheDefinition('xylyl', null, NOW);
+
+    expect(await getCachedDefinition('xylyl', NOW + DEFINITION_NOT_FOUND_TTL_MS - 1)).toEqual({ definition: null });
+    expect(await getCachedDefinition('xylyl', NOW + DEFINITION_NOT_FOUND_TTL_MS)).toBeNull();
+  });
+
+  it('drops definitions once they expire', async () => {
+    await cacheDefinition('crane', CRANE, NOW);
+
+    expect(await getCachedDefinition('crane', NOW + DEFINITION_CACHE_TTL_MS)).toBeNull();
+    expect(await getCachedDefinition('crane', NOW)).toBeNull();
+  });
+
+  it('drops the least recently used word over the limit', async () => {
+    await cacheDefinition('first', CRANE, NOW);
+    await cacheDefinition('second', CRANE, NOW);
+    await getCachedDefinition('first', NOW);
+
+    for (let i = 0; i < MAX_DEFINITION_CACHE_SIZE - 1; i++) {
+      await cacheDefinition(`word${i}`, CRANE, NOW);
+    }
+
+    expect(await getCachedDefinition('first', NOW)).toEqual({ definition: CRANE });
+    expect(await getCachedDefinition('second', NOW)).toBeNull();
+  });
+});
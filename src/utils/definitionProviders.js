@@ -0,0 +1,211 @@
+/**
+ * DEFINITION PROVIDERS
+ *
+ * Dictionary sources for word definitions, tried in order as a chain.
+ *
+ * Provider interface:
+ *   {
+ *     name: string,                  // Shown in logs (and by the validator script)
+ *     isOffline?: boolean,           // true = no network, results aren't worth caching
+ *     lookup(word, { signal, fetchJson }) => Promise<Array|null>
+ *   }
+ *
+ * lookup gets a lowercase word and returns its definition in the shared
+ * Free Dictionary API format ([{ word, phonetic, meanings: [{ partOfSpeech,
+ * definitions: [{ definition, example? }], synonyms? }] }]), or null when the
+ * source doesn't have the word. It throws when the source can't be reached
+ * (network error, timeout, server error), so the chain can tell "unknown
+ * word" from "try again later".
+ *
+ * Building providers:
+ * - createFetchProvider: any HTTP source (fetch a URL + normalize the JSON),
+ *   e.g. a self-hosted proxy
+ * - createStaticProvider: definitions already in memory (a local JSON file,
+ *   or a mock provider for tests)
+ *
+ * Also used by scripts/validateWordDefinitions.js (plain Node), which is why
+ * imports here carry the .js extension.
+ */
+
+import { DEFINITION_REQUEST_TIMEOUT_MS } from '../constants.js';
+
+/**
+ * Strips HTML tags from a string
+ * Used to clean Wiktionary API responses which contain HTML markup
+ */
+function stripHtml(html) {
+  if (!html) return '';
+
+  // Remove HTML tags
+  let text = html.replace(/<[^>]*>/g, '');
+
+  // Decode common HTML entities
+  const entities = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&nbsp;': ' '
+  };
+
+  Object.entries(entities).forEach(([entity, char]) => {
+    text = text.replace(new RegExp(entity, 'g'), char);
+  });
+
+  return text.trim();
+}
+
+/**
+ * Fetches JSON with a timeout (the default fetchJson for providers)
+ * Aborts when the lookup is cancelled (signal) or after DEFINITION_REQUEST_TIMEOUT_MS.
+ *
+ * @param {string} url - Request URL
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<{ ok: boolean, status: number, data: * }>} data is only parsed for ok responses
+ * @throws {Error} On network errors, timeouts and cancellation
+ */
+export async function fetchJson(url, signal) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timeoutId = setTimeout(abort, DEFINITION_REQUEST_TIMEOUT_MS);
+  signal?.addEventListener('abort', abort);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    const data = response.ok ? await response.json() : null;
+    return { ok: response.ok, status: response.status, data };
+  } catch (error) {
+    if (controller.signal.aborted && !signal?.aborted) {
+      throw new Error(`Request timed out after ${DEFINITION_REQUEST_TIMEOUT_MS / 1000}s: ${url}`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Creates a provider for an HTTP dictionary
+ * A 404 means "unknown word"; any other failed response throws.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Provider name
+ * @param {Function} options.getUrl - (word) => request URL
+ * @param {Function} options.normalize - (data, word) => definition in the shared format, or null
+ * @returns {Object} Provider
+ *
+ * @example
+ * const proxyProvider = createFetchProvider({
+ *   name: 'Proxy',
+ *   getUrl: (word) => `/api/define/${word}`,
+ *   normalize: (data) => data
+ * });
+ */
+export function createFetchProvider({ name, getUrl, normalize }) {
+  return {
+    name,
+    async lookup(word, { signal, fetchJson: fetchProviderJson = fetchJson } = {}) {
+      const response = await fetchProviderJson(getUrl(word), signal);
+      if (response.ok) return normalize(response.data, word);
+      if (response.status === 404) return null;
+      throw new Error(`${name} lookup failed (${response.status})`);
+    }
+  };
+}
+
+/**
+ * Creates a provider for definitions already in memory
+ *
+ * @param {string} name - Provider name
+ * @param {Object} definitions - Definitions (shared format) by lowercase word
+ * @returns {Object} Provider
+ *
+ * @example
+ * const mockProvider = createStaticProvider('Mock', { crane: [{ word: 'crane', meanings: [...] }] });
+ */
+export function createStaticProvider(name, definitions) {
+  return {
+    name,
+    isOffline: true,
+    async lookup(word) {
+      return Object.hasOwn(definitions, word) ? definitions[word] : null;
+    }
+  };
+}
+
+/**
+ * Free Dictionary API (dictionaryapi.dev) - already in the shared format
+ */
+export const freeDictionaryProvider = createFetchProvider({
+  name: 'Free Dictionary',
+  getUrl: (word) => `https://api.dictionaryapi.dev/api/v2/entries/en/${encodeURIComponent(word)}`,
+  normalize: (data) => (data?.[0]?.meanings?.length > 0 ? data : null)
+});
+
+/**
+ * Wiktionary REST API - better coverage of obscure words
+ * Transforms the English entries to the shared format.
+ */
+export const wiktionaryProvider = createFetchProvider({
+  name: 'Wiktionary',
+  getUrl: (word) => `https://en.wiktionary.org/api/rest_v1/page/definition/${encodeURIComponent(word)}`,
+  normalize: (data, word) => {
+    if (!data?.en || data.en.length === 0) {
+      return null;
+    }
+
+    return [{
+      word,
+      phonetic: '', // Wiktionary doesn't always provide phonetics in this endpoint
+      meanings: data.en.map(entry => ({
+        partOfSpeech: entry.partOfSpeech || 'unknown',
+        definitions: entry.definitions.map(def => ({
+          definition: stripHtml(def.definition),
+          example: def.parsedExamples?.[0]?.example
+            ? stripHtml(def.parsedExamples[0].example)
+            : undefined
+        }))
+      }))
+    }];
+  }
+});
+
+/**
+ * Asks each provider in turn until one has the word
+ * A provider that fails is logged and skipped; the lookup only throws if no
+ * provider had the word and at least one failed (so "not found" is certain
+ * when it resolves with definition: null).
+ *
+ * @param {string} word - Word in any case
+ * @param {Object[]} providers - Ordered provider chain
+ * @param {Object} [context] - Passed to each provider's lookup
+ * @param {AbortSignal} [context.signal] - Cancels the lookup
+ * @param {Function} [context.fetchJson] - Replaces the default fetchJson
+ * @returns {Promise<{ definition: Array|null, provider: Object|null }>}
+ *   The definition and the provider that had it
+ * @throws {Error} The first provider failure, or the abort error when cancelled
+ *
+ * @example
+ * await lookupDefinition('CRANE', [freeDictionaryProvider, wiktionaryProvider])
+ * // → { definition: [...], provider: freeDictionaryProvider }
+ */
+export async function lookupDefinition(word, providers, context = {}) {
+  const wordLower = word.toLowerCase();
+  let failure = null;
+
+  for (const provider of providers) {
+    try {
+      const definition = await provider.lookup(wordLower, context);
+      if (definition) return { definition, provider };
+    } catch (error) {
+      if (context.signal?.aborted) throw error;
+      console.warn(`${provider.name} failed for "${wordLower}", trying the next source:`, error);
+      failure ??= error;
+    }
+  }
+
+  if (failure) throw failure;
+  return { definition: null, provider: null };
+}
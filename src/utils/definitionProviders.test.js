@@ -0,0 +1,148 @@
+/**
+ * DEFINITION PROVIDER TESTS
+ *
+ * No network: HTTP providers get a stand-in fetchJson, fetchJson itself a
+ * stand-in fetch.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  fetchJson,
+  createFetchProvider,
+  createStaticProvider,
+  wiktionaryProvider,
+  lookupDefinition
+} from './definitionProviders';
+import { DEFINITION_REQUEST_TIMEOUT_MS } from '../constants';
+
+const CRANE = [{ word: 'crane', meanings: [{ partOfSpeech: 'noun', definitions: [{ definition: 'A wading bird' }] }] }];
+
+// Answers every request with the same response
+const respondWith = (response) => vi.fn(async () => response);
+
+// A provider that can't be reached
+const failingProvider = (name) => ({
+  name,
+  lookup: vi.fn(async () => {
+    throw new Error(`${name} is down`);
+  })
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('createFetchProvider', () => {
+  const provider = createFetchProvider({
+    name: 'Test',
+    getUrl: (word) => `/define/${word}`,
+    normalize: (data) => data.entries
+  });
+
+  it('normalizes a successful response', async () => {
+    const fetchStub = respondWith({ ok: true, status: 200, data: { entries: CRANE } });
+
+    expect(await provider.lookup('crane', { fetchJson: fetchStub })).toEqual(CRANE);
+    expect(fetchStub).toHaveBeenCalledWith('/define/crane', undefined);
+  });
+
+  it('treats a 404 as an unknown word and other errors as failures', async () => {
+    expect(await provider.lookup('xylyl', { fetchJson: respondWith({ ok: false, status: 404, data: null }) })).toBeNull();
+    await expect(provider.lookup('crane', { fetchJson: respondWith({ ok: false, status: 503, data: null }) }))
+      .rejects.toThrow('Test lookup failed (503)');
+  });
+});
+
+describe('wiktionaryProvider', () => {
+  it('turns English entries into the shared format without HTML', async () => {
+    const data = {
+      en: [{
+        partOfSpeech: 'Noun',
+        definitions: [{
+          definition: 'A large <a href="/wiki/bird">bird</a> &amp; machine',
+          parsedExamples: [{ example: 'The <b>crane</b> flew.' }]
+        }]
+      }]
+    };
+    const [entry] = await wiktionaryProvider.lookup('crane', { fetchJson: respondWith({ ok: true, status: 200, data }) });
+
+    expect(entry.meanings[0]).toEqual({
+      partOfSpeech: 'Noun',
+      definitions: [{ definition: 'A large bird & machine', example: 'The crane flew.' }]
+    });
+  });
+});
+
+describe('lookupDefinition', () => {
+  it('returns the first provider that has the word, lowercasing it', async () => {
+    const empty = createStaticProvider('Empty', {});
+    const local = createStaticProvider('Local', { crane: CRANE });
+
+    expect(await lookupDefinition('CRANE', [empty, local])).toEqual({ definition: CRANE, provider: local });
+  });
+
+  it('skips a failing provider', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const local = createStaticProvider('Local', { crane: CRANE });
+
+    expect(await lookupDefinition('crane', [failingProvider('Online'), local])).toEqual({ definition: CRANE, provider: local });
+  });
+
+  it('resolves with no definition only when every provider answered', async () => {
+    expect(await lookupDefinition('xylyl', [createStaticProvider('Local', {})])).toEqual({ definition: null, provider: null });
+  });
+
+  it('throws the first failure when no provider had the word', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const providers = [failingProvider('First'), createStaticProvider('Local', {}), failingProvider('Second')];
+
+    await expect(lookupDefinition('xylyl', providers)).rejects.toThrow('First is down');
+  });
+
+  it('stops at the first failure once cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const next = failingProvider('Next');
+
+    await expect(lookupDefinition('crane', [failingProvider('First'), next], { signal: controller.signal }))
+      .rejects.toThrow('First is down');
+    expect(next.lookup).not.toHaveBeenCalled();
+  });
+});
+
+describe('fetchJson', () => {
+  // A fetch that never answers, only rejects when aborted (like the real one)
+  const hangingFetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  }));
+
+  it('parses ok responses only', async () => {
+    vi.stubGlobal('fetch', respondWith({ ok: true, status: 200, json: async () => CRANE }));
+    expect(await fetchJson('/define/crane')).toEqual({ ok: true, status: 200, data: CRANE });
+
+    vi.stubGlobal('fetch', respondWith({ ok: false, status: 404 }));
+    expect(await fetchJson('/define/xylyl')).toEqual({ ok: false, status: 404, data: null });
+  });
+
+  it('gives up after the timeout', async () => {
+    vi.useFakeTimers();
+    vi.stubGlobal('fetch', hangingFetch);
+
+    const request = fetchJson('/define/crane');
+    const assertion = expect(request).rejects.toThrow(`Request timed out after ${DEFINITION_REQUEST_TIMEOUT_MS / 1000}s`);
+    await vi.advanceTimersByTimeAsync(DEFINITION_REQUEST_TIMEOUT_MS);
+    await assertion;
+  });
+
+  it('passes a cancellation through as an abort error', async () => {
+    vi.stubGlobal('fetch', hangingFetch);
+    const controller = new AbortController();
+
+    const request = fetchJson('/define/crane', controller.signal);
+    controller.abort();
+
+    await expect(request).rejects.toThrow('Aborted');
+  });
+});
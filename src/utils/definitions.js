@@ -0,0 +1,76 @@
+/**
+ * OFFLINE DEFINITIONS
+ *
+ * Reads definitions from the bundled definitions file (src/data/definitions.js,
+ * built from WordNet by scripts/buildDefinitions.js), so the likely answers
+ * can be defined without a network request.
+ *
+ * The bundle is a separate chunk, loaded the first time a definition is
+ * looked up. Entries are stored compactly and expanded here into the same
+ * shape the Free Dictionary API returns, so DefinitionModal shows both alike.
+ */
+
+// In-flight or finished bundle load (shared by every caller)
+let bundlePromise = null;
+
+/**
+ * Loads the definitions bundle (cached after the first call)
+ * A failed load is forgotten, so the next lookup tries again.
+ *
+ * @returns {Promise<Object>} Compact entries by word
+ */
+function loadDefinitionBundle() {
+  bundlePromise ??= import('../data/definitions.js')
+    .then(module => module.DEFINITIONS)
+    .catch(error => {
+      bundlePromise = null;
+      throw error;
+    });
+
+  return bundlePromise;
+}
+
+/**
+ * Expands a compact bundle entry into the Free Dictionary API format
+ *
+ * @param {string} word - Lowercase word
+ * @param {Array} meanings - [[partOfSpeech, [[definition, example?], ...], [synonym, ...]], ...]
+ * @returns {Array} [{ word, phonetic, meanings: [{ partOfSpeech, definitions, synonyms }] }]
+ */
+function expandEntry(word, meanings) {
+  return [{
+    word,
+    phonetic: '',
+    meanings: meanings.map(([partOfSpeech, definitions, synonyms]) => ({
+      partOfSpeech,
+      definitions: definitions.map(([definition, example]) => ({ definition, example })),
+      synonyms
+    }))
+  }];
+}
+
+/**
+ * Looks a word up in the offline definitions
+ *
+ * @param {string} word - Word in any case
+ * @returns {Promise<Array|null>} Definition in the Free Dictionary API format,
+ *   or null if the word isn't in the bundle
+ *
+ * @example
+ * await getBundledDefinition('CRANE') // → [{ word: 'crane', meanings: [...] }]
+ * await getBundledDefinition('xylyl') // → null (look it up online)
+ */
+export async function getBundledDefinition(word) {
+  const wordLower = word.toLowerCase();
+  const definitions = await loadDefinitionBundle();
+  return Object.hasOwn(definitions, wordLower) ? expandEntry(wordLower, definitions[wordLower]) : null;
+}
+
+/**
+ * The offline bundle as a definition provider (see utils/definitionProviders.js)
+ */
+export const offlineDefinitionProvider = {
+  name: 'Offline bundle',
+  isOffline: true,
+  lookup: getBundledDefinition
+};
@@ -9,88 +9,237 @@
  * - 🟡 Yellow letters: "The letter MUST be in the word, but NOT in this position"
  * - ⚫ Gray letters: "The letter MUST NOT be in the word at all"
  *
- * The filter runs through all ~2,300 possible Wordle answers and only keeps
- * the words that satisfy ALL your constraints.
+ * The filter runs through the selected word list (~2,300 curated answers, or
+ * ~11,700 valid guesses) and only keeps the words that satisfy ALL your constraints.
  *
  * Special case: A letter can be both gray AND green/yellow when dealing with
- * duplicate letters (e.g., if "SPEED" has one E in the right spot and one E not used)
+ * duplicate letters (e.g., if "SPEED" has one E in the right spot and one E not used).
+ * That combination means "no more copies than the rows can account for", which
+ * getLetterCountConstraints() turns into per-letter min/max counts.
  */
 
 /**
- * Filters the master word list against the user-defined constraints.
+ * Derives per-letter minimum and maximum count constraints.
  *
- * ALGORITHM COMPLEXITY:
- * - Time: O(n × m) where n = word count (~2,315), m = constraint checks (~20-30)
- *   - Iterates through all words once: O(n)
- *   - For each word, performs constant-time checks: O(1) per check
- *   - Total: ~46,000-69,000 operations (very fast on modern browsers)
- * - Space: O(n) for the filtered result array (worst case: all words match)
+ * The green/yellow/gray rows only say "contains" or "doesn't contain", which
+ * isn't enough for duplicate letters. Wordle marks the extra copy of a letter
+ * gray, so a gray E next to a green E means "no more Es than the guess had
+ * green or yellow".
  *
- * Performance notes:
- * - Runs in <5ms on average hardware for full word list
- * - Early returns optimize common cases (green letter mismatch exits immediately)
- * - Set data structure for yellow letters provides O(1) lookup
+ * Derivation rules (per letter):
+ * - min = number of green positions holding the letter, or 1 if it is only yellow
+ * - If the letter is also gray, max = greens + one per yellow position not
+ *   already covered by a green (never below min)
+ * - If the letter is only gray, max = 0 (not in the word at all)
+ * - Explicit counts (constraints.counts) are merged in by tightening the range
  *
- * @param {Object} constraints - The user's input constraints (green, yellow, gray).
- * @param {string[]} solutionsList - The master list of 5-letter Wordle answers (~2,315 words).
- * @returns {string[]} An array of valid remaining words.
+ * The rows don't record which guess a letter came from, so both bounds are the
+ * safe ones: a yellow E at position 1 and a green E at position 3 may be the
+ * same E (min counts it once), or two different Es from one guess (max counts
+ * both). EERIE against BEECH gives yellow E, green E and gray E - BEECH's two
+ * Es stay allowed. Guess mode knows each guess and passes exact counts instead
+ * (see deriveConstraintsFromGuesses).
+ *
+ * @param {Object} constraints - { green, yellow, gray, counts? }
+ * @param {Object} [constraints.counts] - Optional explicit counts: { E: { min: 2, max: 2 } }
+ * @returns {Object} Letter -> { min: number, max: number } (max is Infinity when unbounded)
+ *
+ * @example
+ * // SPEED against ABIDE-style answers: one green E, one gray E
+ * getLetterCountConstraints({ green: { 2: 'E' }, yellow: {}, gray: ['E'] })
+ * // → { E: { min: 1, max: 1 } }
+ *
+ * // EERIE against BEECH: yellow E at 1, green E at 2, gray E at 5
+ * getLetterCountConstraints({ green: { 1: 'E' }, yellow: { 0: ['E'] }, gray: ['E'] })
+ * // → { E: { min: 1, max: 2 } }
  */
-export function filterWordList(constraints, solutionsList) {
-    const { green, yellow, gray } = constraints;
-
-    // Get all green letters (for gray letter checking)
-    const greenLetters = Object.values(green).filter(l => l !== null && l !== '');
+export function getLetterCountConstraints(constraints) {
+    const { green, yellow, gray, counts = {} } = constraints;
+    const letterCounts = {};
 
-    // Get all unique yellow letters across all positions
-    const allYellowLetters = new Set();
-    Object.values(yellow).forEach(arr => {
-        arr.forEach(letter => allYellowLetters.add(letter));
-    });
+    const getEntry = (letter) => {
+        if (!letterCounts[letter]) {
+            letterCounts[letter] = { min: 0, max: Infinity };
+        }
+        return letterCounts[letter];
+    };
 
-    const filteredWords = solutionsList.filter(word => {
-        const wordUpper = word.toUpperCase();
+    // Copies the rows can account for (the most a gray cap may allow)
+    const seenCopies = {};
 
-        // 1. 🟢 --- GREEN (Correct Position) CHECK ---
-        // Word must have the specified letter at the specified position.
-        for (let i = 0; i < 5; i++) {
-            const requiredLetter = green[i];
-            if (requiredLetter && wordUpper[i] !== requiredLetter) {
-                return false;
-            }
+    // Green: every green position is a guaranteed copy of the letter
+    Object.values(green).forEach(letter => {
+        if (letter) {
+            getEntry(letter).min += 1;
+            seenCopies[letter] = (seenCopies[letter] || 0) + 1;
         }
+    });
 
-        // 2. 🟡 --- YELLOW (In Word, Wrong Spot) CHECK ---
-        // Must contain all yellow letters
-        for (const letter of allYellowLetters) {
-            if (!wordUpper.includes(letter)) {
-                return false;
+    // Yellow: guarantees at least one copy; each yellow position may be another copy
+    Object.entries(yellow).forEach(([position, arr]) => {
+        arr.forEach(letter => {
+            const entry = getEntry(letter);
+            entry.min = Math.max(entry.min, 1);
+            if (green[position] !== letter) {
+                seenCopies[letter] = (seenCopies[letter] || 0) + 1;
             }
+        });
+    });
+
+    // Explicit minimums count as proven copies before gray caps are applied
+    Object.entries(counts).forEach(([letter, { min = 0 }]) => {
+        const entry = getEntry(letter);
+        entry.min = Math.max(entry.min, min);
+    });
+
+    // Gray: caps the count at the copies green/yellow could account for
+    gray.forEach(letter => {
+        const entry = getEntry(letter);
+        entry.max = Math.min(entry.max, Math.max(entry.min, seenCopies[letter] || 0));
+    });
+
+    // Explicit maximums tighten whatever was derived above
+    Object.entries(counts).forEach(([letter, { max = Infinity }]) => {
+        const entry = getEntry(letter);
+        entry.max = Math.min(entry.max, max);
+    });
+
+    return letterCounts;
+}
+
+// User-facing position (1-indexed)
+const formatPosition = (position) => position + 1;
+
+// "E" with a count → "1 E" / "2 Es"
+const formatLetterCount = (count, letter) => `${count} ${letter}${count === 1 ? '' : 's'}`;
+
+/**
+ * Checks one word against precomputed constraints and lists what it breaks.
+ * Shared by filterWordList (which only needs to know whether anything failed)
+ * and explainWord (which wants every reason).
+ *
+ * @param {string} wordUpper - Uppercase word
+ * @param {Object} green - Position -> letter
+ * @param {Object} yellow - Position -> letters excluded there
+ * @param {Array} letterCounts - Entries of getLetterCountConstraints()
+ * @param {boolean} stopAtFirst - Return as soon as one violation is found
+ * @returns {Array<{ type: string, message: string, letter: string, position?: number }>} Violations (empty if the word fits)
+ */
+function findViolations(wordUpper, green, yellow, letterCounts, stopAtFirst) {
+    const violations = [];
+
+    // 1. 🟢 --- GREEN (Correct Position) CHECK ---
+    // Word must have the specified letter at the specified position.
+    for (let i = 0; i < wordUpper.length; i++) {
+        const requiredLetter = green[i];
+        if (requiredLetter && wordUpper[i] !== requiredLetter) {
+            violations.push({
+                type: 'green',
+                letter: requiredLetter,
+                position: i,
+                message: `Position ${formatPosition(i)} must be ${requiredLetter}, but it's ${wordUpper[i]}`
+            });
+            if (stopAtFirst) return violations;
         }
+    }
 
-        // Must NOT have yellow letters in their marked wrong positions
-        for (let position = 0; position < 5; position++) {
-            const excludedLetters = yellow[position];
-            if (excludedLetters && excludedLetters.length > 0) {
-                for (const letter of excludedLetters) {
-                    if (wordUpper[position] === letter) {
-                        return false;
-                    }
+    // 2. 🟡 --- YELLOW (Wrong Spot) CHECK ---
+    // Must NOT have yellow letters in their marked wrong positions
+    // (presence of yellow letters is enforced by the count check below)
+    for (let position = 0; position < wordUpper.length; position++) {
+        const excludedLetters = yellow[position];
+        if (excludedLetters && excludedLetters.length > 0) {
+            for (const letter of excludedLetters) {
+                if (wordUpper[position] === letter) {
+                    violations.push({
+                        type: 'yellow',
+                        letter,
+                        position,
+                        message: `${letter} can't be in position ${formatPosition(position)} (it was yellow there)`
+                    });
+                    if (stopAtFirst) return violations;
                 }
             }
         }
+    }
 
-        // 3. 🚫 --- GRAY (Not In Word) CHECK ---
-        // Must NOT contain any gray letters (unless they're also green or yellow)
-        for (const letter of gray) {
-            const isInGreen = greenLetters.includes(letter);
-            const isInYellow = allYellowLetters.has(letter);
-            if (!isInGreen && !isInYellow && wordUpper.includes(letter)) {
-                return false;
+    // 3. 🔢 --- LETTER COUNT CHECK (Yellow presence + Gray + duplicates) ---
+    // Each constrained letter must appear between min and max times.
+    // - Yellow letters have min ≥ 1 (must be in the word)
+    // - Gray-only letters have max = 0 (must NOT be in the word)
+    // - Gray + green/yellow letters are capped at the copies seen (greens plus
+    //   yellow positions without a green of that letter), never below min
+    for (const [letter, { min, max }] of letterCounts) {
+        let count = 0;
+        for (let i = 0; i < wordUpper.length; i++) {
+            if (wordUpper[i] === letter) count++;
+        }
+        if (count < min || count > max) {
+            let message;
+            if (max === 0) {
+                message = `Contains gray ${letter}`;
+            } else if (count === 0) {
+                message = `Missing ${letter}`;
+            } else if (count < min) {
+                message = `Needs at least ${formatLetterCount(min, letter)}, but has ${count}`;
+            } else {
+                message = `Has ${formatLetterCount(count, letter)}, but only ${max} allowed`;
             }
+            violations.push({ type: 'count', letter, message });
+            if (stopAtFirst) return violations;
         }
+    }
 
-        return true;
-    });
+    return violations;
+}
 
-    return filteredWords;
-}
\ No newline at end of file
+/**
+ * Filters the master word list against the user-defined constraints.
+ *
+ * ALGORITHM COMPLEXITY:
+ * - Time: O(n × m) where n = word count (~2,315 answers / ~11,746 all), m = constraint checks (~20-30)
+ *   - Iterates through all words once: O(n)
+ *   - For each word, performs constant-time checks: O(1) per check
+ *   - Total: ~46,000-69,000 operations (very fast on modern browsers)
+ * - Space: O(n) for the filtered result array (worst case: all words match)
+ *
+ * Performance notes:
+ * - Runs in <5ms on average hardware for full word list
+ * - Early returns optimize common cases (green letter mismatch exits immediately)
+ * - Letter count constraints are derived once, not per word
+ *
+ * @param {Object} constraints - The user's input constraints (green, yellow, gray, optional counts).
+ * @param {string[]} solutionsList - The word list to filter (answers only, or all valid guesses - see getWordListForMode).
+ * @returns {string[]} An array of valid remaining words.
+ */
+export function filterWordList(constraints, solutionsList) {
+    const { green, yellow } = constraints;
+
+    // Derive min/max letter counts once (handles duplicate letters)
+    const letterCounts = Object.entries(getLetterCountConstraints(constraints));
+
+    return solutionsList.filter(word => (
+        findViolations(word.toUpperCase(), green, yellow, letterCounts, true).length === 0
+    ));
+}
+
+/**
+ * Explains why a word is (or isn't) left by filterWordList.
+ * Runs the exact same checks, but collects every failed one instead of
+ * stopping at the first.
+ *
+ * @param {string} word - Any word of the board's length (any case)
+ * @param {Object} constraints - Same object filterWordList takes
+ * @returns {Array<{ type: 'green'|'yellow'|'count', message: string, letter: string, position?: number }>}
+ *   Every constraint the word breaks (empty if it passes the filter)
+ *
+ * @example
+ * explainWord('crane', { green: { 0: 'S' }, yellow: {}, gray: ['N'] })
+ * // → [{ type: 'green', message: "Position 1 must be S, but it's C", ... },
+ * //    { type: 'count', message: 'Contains gray N', ... }]
+ */
+export function explainWord(word, constraints) {
+    const { green, yellow } = constraints;
+    const letterCounts = Object.entries(getLetterCountConstraints(constraints));
+    return findViolations(word.toUpperCase(), green, yellow, letterCounts, false);
+}
@@ -0,0 +1,113 @@
+/**
+ * FILTER LOGIC TESTS
+ *
+ * Duplicate letters: the rows (green / yellow / gray, as a user would type
+ * them) and guess mode must never rule out the real answer.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { filterWordList, getLetterCountConstraints } from './filterLogic';
+import { scoreGuess, deriveConstraintsFromGuesses } from './guessLogic';
+import { createEmptyGreen, createEmptyYellow } from './wordLength';
+
+/**
+ * Builds row constraints the way a user enters a guess in rows mode:
+ * green tiles into the green row, yellow tiles into the yellow row at their
+ * position, and gray tiles into the gray row
+ */
+function rowsFromGuesses(guesses, answer) {
+  const green = createEmptyGreen(answer.length);
+  const yellow = createEmptyYellow(answer.length);
+  const gray = [];
+
+  guesses.forEach(guess => {
+    const colors = scoreGuess(guess, answer);
+    [...guess.toUpperCase()].forEach((letter, position) => {
+      if (colors[position] === 'green') {
+        green[position] = letter;
+      } else if (colors[position] === 'yellow') {
+        if (!yellow[position].includes(letter)) yellow[position].push(letter);
+      } else if (!gray.includes(letter)) {
+        gray.push(letter);
+      }
+    });
+  });
+
+  return { green, yellow, gray };
+}
+
+/**
+ * Enters letters into the rows one at a time, in the given order, the way
+ * the row actions do (a gray letter stays when it's later added as green or
+ * yellow): ['gray', 'S'], ['green', 3, 'E'], ['yellow', 1, 'A']
+ */
+function enterRows(steps, length) {
+  const green = createEmptyGreen(length);
+  const yellow = createEmptyYellow(length);
+  const gray = [];
+
+  steps.forEach(([row, ...args]) => {
+    if (row === 'gray') gray.push(args[0]);
+    else if (row === 'green') green[args[0]] = args[1];
+    else yellow[args[0]].push(args[1]);
+  });
+
+  return { green, yellow, gray };
+}
+
+function guessesFor(guesses, answer) {
+  return guesses.map(word => ({ word, colors: scoreGuess(word, answer) }));
+}
+
+describe('duplicate letters in rows mode', () => {
+  it('SPEED against ABIDE caps E at one copy', () => {
+    const constraints = rowsFromGuesses(['speed'], 'abide');
+
+    expect(getLetterCountConstraints(constraints).E).toEqual({ min: 1, max: 1 });
+    expect(filterWordList(constraints, ['abide', 'eider'])).toEqual(['abide']);
+  });
+
+  it('EERIE against BEECH keeps BEECH (yellow + green + gray E)', () => {
+    const constraints = rowsFromGuesses(['eerie'], 'beech');
+
+    expect(getLetterCountConstraints(constraints).E).toEqual({ min: 1, max: 2 });
+    expect(filterWordList(constraints, ['beech'])).toEqual(['beech']);
+  });
+
+  it('SPEED against ABBEY caps E when the gray row is filled in first', () => {
+    const constraints = enterRows(
+      [['gray', 'S'], ['gray', 'P'], ['gray', 'E'], ['gray', 'D'], ['green', 3, 'E']],
+      5
+    );
+
+    expect(getLetterCountConstraints(constraints).E).toEqual({ min: 1, max: 1 });
+    expect(filterWordList(constraints, ['abbey', 'level'])).toEqual(['abbey']);
+  });
+
+  it('AGREE and BERET keep each other as the answer', () => {
+    expect(filterWordList(rowsFromGuesses(['agree'], 'beret'), ['beret'])).toEqual(['beret']);
+    expect(filterWordList(rowsFromGuesses(['beret'], 'agree'), ['agree'])).toEqual(['agree']);
+    expect(filterWordList(rowsFromGuesses(['agree', 'eerie'], 'beret'), ['beret'])).toEqual(['beret']);
+  });
+});
+
+describe('duplicate letters in guess mode', () => {
+  it('SPEED against ABIDE allows exactly one E', () => {
+    const constraints = deriveConstraintsFromGuesses(guessesFor(['speed'], 'abide'));
+
+    expect(constraints.counts.E).toEqual({ min: 1, max: 1 });
+    expect(filterWordList(constraints, ['abide', 'eider'])).toEqual(['abide']);
+  });
+
+  it('EERIE against BEECH requires exactly two Es', () => {
+    const constraints = deriveConstraintsFromGuesses(guessesFor(['eerie'], 'beech'));
+
+    expect(constraints.counts.E).toEqual({ min: 2, max: 2 });
+    expect(filterWordList(constraints, ['beech', 'bench'])).toEqual(['beech']);
+  });
+
+  it('AGREE and BERET keep each other as the answer', () => {
+    expect(filterWordList(deriveConstraintsFromGuesses(guessesFor(['agree'], 'beret')), ['beret'])).toEqual(['beret']);
+    expect(filterWordList(deriveConstraintsFromGuesses(guessesFor(['beret'], 'agree')), ['agree'])).toEqual(['agree']);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * GUESS LOGIC
+ *
+ * Converts whole Wordle guesses (word + tile colors) into the same
+ * green / yellow / gray / counts constraint object that filterWordList uses.
+ *
+ * A guess looks like: { word: 'SPEED', colors: ['gray', 'gray', 'green', 'gray', 'yellow'] }
+ *
+ * Why guesses carry more information than the three rows:
+ * - Tiles from one guess belong together, so duplicate letters can be counted
+ *   exactly (two non-gray Es in one guess = at least two Es)
+ * - A gray tile for a letter that is green/yellow elsewhere in the same guess
+ *   means "no more copies" AND "not at this position"
+ */
+
+import { WORD_LENGTH, TILE_COLOR_CYCLE } from '../constants';
+import { createEmptyGreen, createEmptyYellow } from './wordLength';
+
+/**
+ * Returns the next color in the tap cycle (gray → yellow → green → gray)
+ *
+ * @param {string} color - Current tile color
+ * @returns {string} Next tile color
+ */
+export function nextTileColor(color) {
+  const index = TILE_COLOR_CYCLE.indexOf(color);
+  return TILE_COLOR_CYCLE[(index + 1) % TILE_COLOR_CYCLE.length];
+}
+
+// Tile color <-> digit used in feedback codes (base 3, position 0 = lowest digit)
+const COLOR_DIGITS = { gray: 0, yellow: 1, green: 2 };
+const DIGIT_COLORS = ['gray', 'yellow', 'green'];
+
+// Reused letter counter for getFeedbackCode (avoids allocating per call)
+const letterCounts = new Uint8Array(26);
+
+/**
+ * Computes Wordle's feedback for a guess against an answer as a single number
+ *
+ * Duplicate letters follow the game's rules: greens are matched first, then
+ * yellows are handed out left to right only while unmatched copies remain
+ * (guess SPEED vs answer ABIDE → only one E is colored).
+ *
+ * The number packs one base-3 digit per position (gray 0, yellow 1, green 2),
+ * so it can be used as an array index when bucketing candidates.
+ *
+ * ALGORITHM COMPLEXITY:
+ * - Time: O(m) where m = word length (two passes)
+ * - Space: O(1) - shared 26-slot counter
+ *
+ * @param {string} guess - Guessed word (same case as answer)
+ * @param {string} answer - Answer word
+ * @returns {number} Feedback code from 0 (all gray) to 3^m - 1 (all green)
+ */
+export function getFeedbackCode(guess, answer) {
+  const length = answer.length;
+  letterCounts.fill(0);
+
+  let code = 0;
+  let place = 1;
+  let yellowPlaces = 0;
+
+  // Pass 1: greens, and count the answer letters that are still unmatched
+  for (let i = 0; i < length; i++) {
+    if (guess[i] === answer[i]) {
+      code += 2 * place;
+    } else {
+      letterCounts[(answer.charCodeAt(i) | 32) - 97]++;
+    }
+    place *= 3;
+  }
+
+  // Pass 2: yellows, left to right, while unmatched copies remain
+  place = 1;
+  for (let i = 0; i < length; i++) {
+    if (guess[i] !== answer[i]) {
+      const index = (guess.charCodeAt(i) | 32) - 97;
+      if (letterCounts[index] > 0) {
+        letterCounts[index]--;
+        yellowPlaces += place;
+      }
+    }
+    place *= 3;
+  }
+
+  return code + yellowPlaces;
+}
+
+/**
+ * Converts a feedback code back to tile colors
+ *
+ * @param {number} code - Value from getFeedbackCode
+ * @param {number} length - Word length
+ * @returns {string[]} Tile colors, e.g. ['gray', 'yellow', 'green', 'gray', 'gray']
+ */
+export function feedbackCodeToColors(code, length = WORD_LENGTH) {
+  const colors = [];
+  let remaining = code;
+  for (let i = 0; i < length; i++) {
+    colors.push(DIGIT_COLORS[remaining % 3]);
+    remaining = Math.floor(remaining / 3);
+  }
+  return colors;
+}
+
+/**
+ * Scores a guess against an answer the way Wordle does
+ *
+ * @param {string} guess - Guessed word (any case)
+ * @param {string} answer - Answer word (any case)
+ * @returns {string[]} Tile colors for each position
+ *
+ * @example
+ * scoreGuess('SPEED', 'ABIDE') // → ['gray', 'gray', 'yellow', 'gray', 'yellow']
+ */
+export function scoreGuess(guess, answer) {
+  const code = getFeedbackCode(guess.toLowerCase(), answer.toLowerCase());
+  return feedbackCodeToColors(code, answer.length);
+}
+
+/**
+ * Converts tile colors to a feedback code (inverse of feedbackCodeToColors)
+ *
+ * @param {string[]} colors - Tile colors
+ * @returns {number} Feedback code
+ */
+export function colorsToFeedbackCode(colors) {
+  return colors.reduceRight((code, color) => code * 3 + COLOR_DIGITS[color], 0);
+}
+
+/**
+ * Creates empty green/yellow structures (same shape as ConstraintContext state)
+ */
+function createEmptyConstraints(length) {
+  return {
+    green: createEmptyGreen(length),
+    yellow: createEmptyYellow(length),
+    gray: [],
+    counts: {}
+  };
+}
+
+/**
+ * Derives filter constraints from a stack of scored guesses
+ *
+ * Rules per guess:
+ * - Green tile: letter fixed at that position
+ * - Yellow tile: letter in the word, but not at that position
+ * - Gray tile: letter not at that position; if the same guess has no
+ *   green/yellow copy of the letter, it's not in the word at all
+ * - Letter counts: min = non-gray copies in the guess; a gray copy caps max at min
+ *
+ * Letters that are capped above zero (duplicates) are kept out of the gray
+ * list and expressed only through counts, so the gray list keeps meaning
+ * "not in the word".
+ *
+ * @param {Array<{word: string, colors: string[]}>} guesses - Submitted guesses
+ * @param {number} [length] - Word length (sizes the green/yellow maps)
+ * @returns {{ green: Object, yellow: Object, gray: string[], counts: Object }}
+ */
+export function deriveConstraintsFromGuesses(guesses, length = WORD_LENGTH) {
+  const constraints = createEmptyConstraints(length);
+  const { green, yellow, counts } = constraints;
+
+  const addYellowExclusion = (position, letter) => {
+    if (!yellow[position].includes(letter)) {
+      yellow[position].push(letter);
+    }
+  };
+
+  guesses.forEach(({ word, colors }) => {
+    const wordUpper = word.toUpperCase();
+
+    // Count non-gray copies per letter (and note which letters had a gray copy)
+    const nonGrayCounts = {};
+    const hasGrayCopy = {};
+
+    for (let i = 0; i < wordUpper.length; i++) {
+      const letter = wordUpper[i];
+      nonGrayCounts[letter] = nonGrayCounts[letter] || 0;
+
+      if (colors[i] === 'green') {
+        green[i] = letter;
+        nonGrayCounts[letter] += 1;
+      } else if (colors[i] === 'yellow') {
+        addYellowExclusion(i, letter);
+        nonGrayCounts[letter] += 1;
+      } else {
+        hasGrayCopy[letter] = true;
+      }
+    }
+
+    // Gray copies of a letter that is present elsewhere still rule out this position
+    for (let i = 0; i < wordUpper.length; i++) {
+      const letter = wordUpper[i];
+      if (colors[i] === 'gray' && nonGrayCounts[letter] > 0) {
+        addYellowExclusion(i, letter);
+      }
+    }
+
+    // Merge this guess's letter counts into the running min/max
+    Object.entries(nonGrayCounts).forEach(([letter, seen]) => {
+      const entry = counts[letter] || { min: 0, max: Infinity };
+      entry.min = Math.max(entry.min, seen);
+      if (hasGrayCopy[letter]) {
+        entry.max = Math.min(entry.max, seen);
+      }
+      counts[letter] = entry;
+    });
+  });
+
+  // Gray list = letters proven absent; remove them from counts (gray covers it)
+  // Letters that are also required (min > 0) stay in counts so the clash isn't hidden
+  Object.entries(counts).forEach(([letter, { min, max }]) => {
+    if (max === 0 && min === 0) {
+      constraints.gray.push(letter);
+      delete counts[letter];
+    }
+  });
+
+  return constraints;
+}
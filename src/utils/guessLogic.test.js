@@ -0,0 +1,91 @@
+/**
+ * GUESS LOGIC TESTS
+ *
+ * Whole guesses (word + tile colors) must turn into the same constraint
+ * object the rows build, with duplicate letters counted exactly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  nextTileColor,
+  getFeedbackCode,
+  feedbackCodeToColors,
+  colorsToFeedbackCode,
+  scoreGuess,
+  deriveConstraintsFromGuesses
+} from './guessLogic';
+import { filterWordList } from './filterLogic';
+
+describe('nextTileColor', () => {
+  it('cycles gray → yellow → green → gray', () => {
+    expect(nextTileColor('gray')).toBe('yellow');
+    expect(nextTileColor('yellow')).toBe('green');
+    expect(nextTileColor('green')).toBe('gray');
+  });
+});
+
+describe('scoreGuess', () => {
+  it('colors only as many duplicates as the answer has', () => {
+    expect(scoreGuess('SPEED', 'ABIDE')).toEqual(['gray', 'gray', 'yellow', 'gray', 'yellow']);
+    expect(scoreGuess('speed', 'creep')).toEqual(['gray', 'yellow', 'green', 'green', 'gray']);
+  });
+
+  it('matches greens before yellows', () => {
+    expect(scoreGuess('EERIE', 'BEECH')).toEqual(['yellow', 'green', 'gray', 'gray', 'gray']);
+  });
+});
+
+describe('getFeedbackCode', () => {
+  it('packs one base-3 digit per position (gray 0, yellow 1, green 2)', () => {
+    expect(getFeedbackCode('crane', 'crane')).toBe(3 ** 5 - 1);
+    expect(getFeedbackCode('fuzzy', 'crane')).toBe(0);
+    // SPEED vs ABIDE: yellow at position 2 and 4
+    expect(getFeedbackCode('speed', 'abide')).toBe(3 ** 2 + 3 ** 4);
+  });
+
+  it('round-trips through tile colors', () => {
+    const code = getFeedbackCode('eerie', 'beech');
+
+    expect(feedbackCodeToColors(code)).toEqual(['yellow', 'green', 'gray', 'gray', 'gray']);
+    expect(colorsToFeedbackCode(feedbackCodeToColors(code))).toBe(code);
+    expect(feedbackCodeToColors(getFeedbackCode('letters', 'settler'), 7)).toEqual(scoreGuess('letters', 'settler'));
+  });
+});
+
+describe('deriveConstraintsFromGuesses', () => {
+  it('turns tiles into green positions, yellow exclusions and gray letters', () => {
+    const constraints = deriveConstraintsFromGuesses([
+      { word: 'crane', colors: ['green', 'gray', 'yellow', 'gray', 'gray'] }
+    ]);
+
+    expect(constraints.green[0]).toBe('C');
+    expect(constraints.yellow[2]).toEqual(['A']);
+    expect(constraints.gray.sort()).toEqual(['E', 'N', 'R']);
+    expect(constraints.counts).toEqual({ C: { min: 1, max: Infinity }, A: { min: 1, max: Infinity } });
+  });
+
+  it('keeps a capped duplicate out of the gray list and rules out its gray position', () => {
+    const constraints = deriveConstraintsFromGuesses([
+      { word: 'SPEED', colors: scoreGuess('SPEED', 'ABIDE') }
+    ]);
+
+    expect(constraints.gray).not.toContain('E');
+    expect(constraints.counts.E).toEqual({ min: 1, max: 1 });
+    expect(constraints.yellow[3]).toContain('E');
+  });
+
+  it('combines guesses into the tightest counts', () => {
+    const guesses = ['EERIE', 'BEERS'].map(word => ({ word, colors: scoreGuess(word, 'BEECH') }));
+    const constraints = deriveConstraintsFromGuesses(guesses);
+
+    expect(constraints.counts.E).toEqual({ min: 2, max: 2 });
+    expect(filterWordList(constraints, ['beech', 'bench'])).toEqual(['beech']);
+  });
+
+  it('sizes the maps for other word lengths', () => {
+    const constraints = deriveConstraintsFromGuesses([], 7);
+
+    expect(Object.keys(constraints.green)).toHaveLength(7);
+    expect(Object.keys(constraints.yellow)).toHaveLength(7);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * LETTER STATISTICS
+ *
+ * Letter frequencies over the remaining candidate words, used to decide
+ * which letters are worth testing next.
+ */
+
+import { WORD_LENGTH } from '../constants';
+
+// Alphabet in order (A-Z)
+export const ALPHABET = Array.from({ length: 26 }, (_, i) => String.fromCharCode(65 + i));
+
+/**
+ * Counts how often each letter appears at each position
+ *
+ * ALGORITHM COMPLEXITY:
+ * - Time: O(n × m) where n = words, m = word length (~60,000 steps for the full list)
+ * - Space: O(m × 26) for the counts
+ *
+ * @param {string[]} words - Remaining candidate words (any case)
+ * @param {number} [wordLength] - Word length (number of positions)
+ * @returns {Array<Object>} One object per position: { A: 12, B: 3, ... } (every letter present, zero if unseen)
+ *
+ * @example
+ * getPositionLetterCounts(['crane', 'crate'])[4]
+ * // → { A: 0, ..., E: 2, ... }
+ */
+export function getPositionLetterCounts(words, wordLength = WORD_LENGTH) {
+  const counts = Array.from({ length: wordLength }, () => new Uint32Array(26));
+
+  for (const word of words) {
+    const wordUpper = word.toUpperCase();
+    for (let position = 0; position < wordLength; position++) {
+      const index = wordUpper.charCodeAt(position) - 65;
+      if (index >= 0 && index < 26) {
+        counts[position][index]++;
+      }
+    }
+  }
+
+  return counts.map(positionCounts => (
+    Object.fromEntries(ALPHABET.map((letter, i) => [letter, positionCounts[i]]))
+  ));
+}
+
+/**
+ * Counts how many words contain each letter (at least once)
+ * A word with two Es counts once for E - this is "how many candidates would
+ * a guess with this letter test", not raw letter frequency.
+ *
+ * @param {string[]} words - Remaining candidate words (any case)
+ * @returns {Object} Letter -> number of words containing it (every letter present)
+ *
+ * @example
+ * getLetterWordCounts(['geese', 'crane']).E
+ * // → 2
+ */
+export function getLetterWordCounts(words) {
+  const counts = new Uint32Array(26);
+  const seen = new Uint32Array(26); // Last word index each letter was counted for
+
+  words.forEach((word, wordIndex) => {
+    const wordUpper = word.toUpperCase();
+    for (let i = 0; i < wordUpper.length; i++) {
+      const index = wordUpper.charCodeAt(i) - 65;
+      if (index >= 0 && index < 26 && seen[index] !== wordIndex + 1) {
+        seen[index] = wordIndex + 1;
+        counts[index]++;
+      }
+    }
+  });
+
+  return Object.fromEntries(ALPHABET.map((letter, i) => [letter, counts[i]]));
+}
@@ -0,0 +1,31 @@
+/**
+ * LETTER STATISTICS TESTS
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ALPHABET, getPositionLetterCounts, getLetterWordCounts } from './letterStats';
+
+describe('getPositionLetterCounts', () => {
+  it('counts each letter per position in any case', () => {
+    const counts = getPositionLetterCounts(['crane', 'CRATE', 'trace']);
+
+    expect(counts).toHaveLength(5);
+    expect(counts[0]).toMatchObject({ C: 2, T: 1, A: 0 });
+    expect(counts[4].E).toBe(3);
+    expect(Object.keys(counts[2])).toEqual(ALPHABET);
+  });
+
+  it('sizes the result for other word lengths', () => {
+    expect(getPositionLetterCounts(['planet'], 6)[5].T).toBe(1);
+  });
+});
+
+describe('getLetterWordCounts', () => {
+  it('counts a word once per letter however many copies it has', () => {
+    const counts = getLetterWordCounts(['geese', 'crane']);
+
+    expect(counts.E).toBe(2);
+    expect(counts.G).toBe(1);
+    expect(counts.Z).toBe(0);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * PAST ANSWERS
+ *
+ * Looks up earlier daily Wordle answers (src/data/pastAnswers.js) so the
+ * cloud can hide or fade them: past answers almost never come back.
+ *
+ * "Past" is relative to the puzzle being solved, not the calendar: solving
+ * an archive puzzle from 2022-03-01 only rules out answers before that date.
+ * Only 5-letter boards use this (the list is Wordle's).
+ *
+ * The list ends at PAST_ANSWERS_COVERED_UNTIL: answers played after that day
+ * aren't known, so for later puzzle dates they show like any other word.
+ *
+ * The NYT has brought back a few answers; a repeated word counts from the
+ * first day it was played.
+ */
+
+import { PAST_ANSWERS } from '../data/pastAnswers';
+
+// Date each past answer was first played (lowercase word → 'YYYY-MM-DD')
+// The list is oldest first, so a repeated word keeps its earliest date
+const ANSWER_DATES = new Map();
+PAST_ANSWERS.forEach(({ date, word }) => {
+  if (!ANSWER_DATES.has(word)) ANSWER_DATES.set(word, date);
+});
+
+// Date of the last answer in the list (YYYY-MM-DD)
+export const PAST_ANSWERS_COVERED_UNTIL = PAST_ANSWERS.at(-1).date;
+
+// First day whose answer isn't in the list
+const FIRST_UNKNOWN_DATE = new Date(Date.parse(`${PAST_ANSWERS_COVERED_UNTIL}T00:00:00Z`) + 24 * 60 * 60 * 1000)
+  .toISOString().slice(0, 10);
+
+/**
+ * Formats a date as YYYY-MM-DD in local time (the day the puzzle changes)
+ *
+ * @param {Date} date - Date to format (default: now)
+ * @returns {string} e.g. '2026-01-06'
+ */
+export function toLocalDateString(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns the date a word was first the daily answer, if it was before a puzzle date
+ *
+ * @param {string} word - Word in any case
+ * @param {string} puzzleDate - Date of the puzzle being solved (YYYY-MM-DD)
+ * @returns {string|null} Date it was first played, or null if it wasn't an earlier answer
+ */
+export function getPastAnswerDate(word, puzzleDate) {
+  const date = ANSWER_DATES.get(word.toLowerCase());
+  return date && date < puzzleDate ? date : null;
+}
+
+/**
+ * Removes answers played before a puzzle date from a word list
+ *
+ * @param {string[]} words - Lowercase word list
+ * @param {string} puzzleDate - Date of the puzzle being solved (YYYY-MM-DD)
+ * @returns {string[]} Words that weren't earlier answers
+ */
+export function removePastAnswers(words, puzzleDate) {
+  return words.filter(word => !getPastAnswerDate(word, puzzleDate));
+}
+
+/**
+ * Checks whether the list has every answer played before a puzzle date
+ *
+ * @param {string} puzzleDate - Date of the puzzle being solved (YYYY-MM-DD)
+ * @returns {boolean} False when answers after PAST_ANSWERS_COVERED_UNTIL are missing
+ *
+ * @example
+ * hasAllPastAnswers('2022-03-01') // → true
+ * hasAllPastAnswers('2026-01-06') // → false while the list ends in 2022
+ */
+export function hasAllPastAnswers(puzzleDate) {
+  return puzzleDate <= FIRST_UNKNOWN_DATE;
+}
@@ -0,0 +1,57 @@
+/**
+ * PAST ANSWERS TESTS
+ *
+ * Runs against a small stand-in list (with one repeated answer).
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  PAST_ANSWERS_COVERED_UNTIL,
+  toLocalDateString,
+  getPastAnswerDate,
+  removePastAnswers,
+  hasAllPastAnswers
+} from './pastAnswers';
+
+vi.mock('../data/pastAnswers', () => ({
+  PAST_ANSWERS: [
+    { date: '2022-03-01', word: 'cigar' },
+    { date: '2022-03-02', word: 'rebut' },
+    { date: '2022-03-03', word: 'sissy' },
+    { date: '2022-03-04', word: 'cigar' }
+  ]
+}));
+
+describe('toLocalDateString', () => {
+  it('formats the local calendar day', () => {
+    expect(toLocalDateString(new Date(2026, 0, 6, 23, 59))).toBe('2026-01-06');
+  });
+});
+
+describe('getPastAnswerDate', () => {
+  it('returns the date only for answers before the puzzle date', () => {
+    expect(getPastAnswerDate('REBUT', '2022-03-03')).toBe('2022-03-02');
+    expect(getPastAnswerDate('rebut', '2022-03-02')).toBeNull();
+    expect(getPastAnswerDate('crane', '2022-03-05')).toBeNull();
+  });
+
+  it('counts a repeated answer from the first day it was played', () => {
+    expect(getPastAnswerDate('cigar', '2022-03-03')).toBe('2022-03-01');
+    expect(getPastAnswerDate('cigar', '2022-03-05')).toBe('2022-03-01');
+  });
+});
+
+describe('removePastAnswers', () => {
+  it('leaves out earlier answers only', () => {
+    expect(removePastAnswers(['cigar', 'rebut', 'sissy', 'crane'], '2022-03-03')).toEqual(['sissy', 'crane']);
+  });
+});
+
+describe('hasAllPastAnswers', () => {
+  it('is true up to the day after the last answer', () => {
+    expect(PAST_ANSWERS_COVERED_UNTIL).toBe('2022-03-04');
+    expect(hasAllPastAnswers('2022-03-02')).toBe(true);
+    expect(hasAllPastAnswers('2022-03-05')).toBe(true);
+    expect(hasAllPastAnswers('2022-03-06')).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * PRACTICE GAME
+ *
+ * Helpers for the built-in practice Wordle: picking an answer, working out
+ * whether the game is won or lost, and remembering the game in progress.
+ *
+ * The guesses themselves live on the board in ConstraintContext (guess-row
+ * entry mode), scored with scoreGuess, so the cloud, heatmap and undo/redo
+ * work exactly as they do for a game played elsewhere. Only the answer and
+ * its seed are stored here.
+ *
+ * Seeds:
+ * - Every game has a seed; the same seed and word length always pick the
+ *   same answer, so a game can be replayed or shared by its seed
+ * - New games get a random seed unless one is typed in
+ *
+ * Storage functions fail quietly (private browsing, quota errors, corrupt data),
+ * like boardStorage.js.
+ */
+
+import { PRACTICE_MAX_GUESSES, PRACTICE_STORAGE_KEY } from '../constants';
+
+/**
+ * Creates a random seed (6 lowercase letters/digits)
+ *
+ * @returns {string} Seed, e.g. 'k3f9qa'
+ */
+export function createPracticeSeed() {
+  return Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+}
+
+/**
+ * Hashes a seed to a 32-bit unsigned integer (FNV-1a)
+ * Spreads similar seeds ('abc', 'abd') across the whole list
+ *
+ * @param {string} seed - Seed text
+ * @returns {number} Hash value
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Picks the answer for a seed
+ *
+ * @param {string[]} answers - Likely answers for the word length (ANSWERS_LIST)
+ * @param {string} seed - Seed (case and surrounding spaces are ignored)
+ * @returns {string} Uppercase answer
+ * @throws {Error} If there are no answers to pick from
+ *
+ * @example
+ * pickPracticeAnswer(ANSWERS_LIST, 'k3f9qa') // → same word every time
+ */
+export function pickPracticeAnswer(answers, seed) {
+  if (answers.length === 0) {
+    throw new Error('No answers to pick from');
+  }
+  return answers[hashSeed(seed.trim().toLowerCase()) % answers.length].toUpperCase();
+}
+
+/**
+ * Works out where a practice game stands
+ *
+ * @param {Array<{ word: string }>} guesses - Board guesses (oldest first)
+ * @param {string} answer - Uppercase answer
+ * @param {number} maxGuesses - Guesses allowed (default: PRACTICE_MAX_GUESSES)
+ * @returns {{ status: 'playing'|'won'|'lost', guessesUsed: number }}
+ *   guessesUsed counts up to and including the winning guess
+ */
+export function getPracticeStatus(guesses, answer, maxGuesses = PRACTICE_MAX_GUESSES) {
+  const winningIndex = guesses.findIndex(guess => guess.word === answer);
+  if (winningIndex !== -1) {
+    return { status: 'won', guessesUsed: winningIndex + 1 };
+  }
+  return {
+    status: guesses.length >= maxGuesses ? 'lost' : 'playing',
+    guessesUsed: guesses.length
+  };
+}
+
+/**
+ * Loads the practice game in progress
+ *
+ * @returns {Object|null} { answer, seed, wordLength } or null if there is none
+ */
+export function loadPracticeGame() {
+  if (typeof window === 'undefined') return null;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRACTICE_STORAGE_KEY));
+    return saved?.answer ? saved : null;
+  } catch (error) {
+    console.warn('Could not restore practice game:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves the practice game in progress, or clears it
+ *
+ * @param {Object|null} game - { answer, seed, wordLength }, or null to clear
+ */
+export function savePracticeGame(game) {
+  try {
+    if (game) {
+      localStorage.setItem(PRACTICE_STORAGE_KEY, JSON.stringify(game));
+    } else {
+      localStorage.removeItem(PRACTICE_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not save practice game:', error);
+  }
+}
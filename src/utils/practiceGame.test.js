@@ -0,0 +1,105 @@
+/**
+ * PRACTICE GAME TESTS
+ *
+ * Storage runs against an in-memory localStorage stand-in.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createPracticeSeed,
+  pickPracticeAnswer,
+  getPracticeStatus,
+  loadPracticeGame,
+  savePracticeGame
+} from './practiceGame';
+import { ANSWERS_LIST } from '../data/solutions';
+import { PRACTICE_STORAGE_KEY } from '../constants';
+
+const GAME = { answer: 'CRANE', seed: 'k3f9qa', wordLength: 5 };
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+beforeEach(() => {
+  vi.stubGlobal('window', {});
+  vi.stubGlobal('localStorage', createMemoryStorage());
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('createPracticeSeed', () => {
+  it('makes six lowercase letters or digits', () => {
+    expect(createPracticeSeed()).toMatch(/^[a-z0-9]{6}$/);
+  });
+});
+
+describe('pickPracticeAnswer', () => {
+  it('picks the same uppercase answer for the same seed', () => {
+    const answer = pickPracticeAnswer(ANSWERS_LIST, 'k3f9qa');
+
+    expect(ANSWERS_LIST).toContain(answer.toLowerCase());
+    expect(pickPracticeAnswer(ANSWERS_LIST, '  K3F9QA ')).toBe(answer);
+  });
+
+  it('spreads similar seeds across the list', () => {
+    const answers = new Set(['abc', 'abd', 'abe', 'abf'].map(seed => pickPracticeAnswer(ANSWERS_LIST, seed)));
+
+    expect(answers.size).toBe(4);
+  });
+
+  it('throws without answers', () => {
+    expect(() => pickPracticeAnswer([], 'abc')).toThrow('No answers to pick from');
+  });
+});
+
+describe('getPracticeStatus', () => {
+  const guesses = (...words) => words.map(word => ({ word }));
+
+  it('counts guesses up to the winning one', () => {
+    expect(getPracticeStatus(guesses('SLATE', 'CRANE'), 'CRANE')).toEqual({ status: 'won', guessesUsed: 2 });
+  });
+
+  it('is lost once every guess is used without the answer', () => {
+    expect(getPracticeStatus(guesses('SLATE', 'MOIST'), 'CRANE', 2)).toEqual({ status: 'lost', guessesUsed: 2 });
+    expect(getPracticeStatus(guesses('SLATE'), 'CRANE')).toEqual({ status: 'playing', guessesUsed: 1 });
+  });
+});
+
+describe('practice game storage', () => {
+  it('saves, restores and clears the game in progress', () => {
+    savePracticeGame(GAME);
+    expect(loadPracticeGame()).toEqual(GAME);
+
+    savePracticeGame(null);
+    expect(loadPracticeGame()).toBeNull();
+  });
+
+  it('ignores corrupt or answerless saves', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    localStorage.setItem(PRACTICE_STORAGE_KEY, '{not json');
+    expect(loadPracticeGame()).toBeNull();
+
+    localStorage.setItem(PRACTICE_STORAGE_KEY, JSON.stringify({ seed: 'abc' }));
+    expect(loadPracticeGame()).toBeNull();
+  });
+
+  it('fails quietly when storage is unavailable', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem = () => {
+      throw new Error('QuotaExceededError');
+    };
+
+    expect(() => savePracticeGame(GAME)).not.toThrow();
+    expect(warn).toHaveBeenCalled();
+  });
+});
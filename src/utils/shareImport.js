@@ -0,0 +1,111 @@
+/**
+ * SHARE GRID IMPORT
+ *
+ * Parses Wordle's emoji share text plus the guessed words into guesses
+ * that ConstraintContext can replay (same shape as guess-row entry mode).
+ *
+ * Example share text:
+ *   Wordle 1,234 4/6
+ *
+ *   ⬛🟨⬛⬛⬛
+ *   ⬛⬛🟩🟨⬛
+ *   🟩🟩🟩⬛⬛
+ *   🟩🟩🟩🟩🟩
+ *
+ * Supported tiles:
+ * - 🟩 green (🟧 in high contrast mode)
+ * - 🟨 yellow (🟦 in high contrast mode)
+ * - ⬛ / ⬜ gray (dark and light theme)
+ *
+ * The share text never contains letters, so the guessed words are pasted
+ * separately (one per line, or separated by spaces/commas).
+ */
+
+import { WORD_LENGTH } from '../constants';
+
+// Emoji tile -> tile color
+const TILE_EMOJI_COLORS = {
+  '🟩': 'green',
+  '🟧': 'green',
+  '🟨': 'yellow',
+  '🟦': 'yellow',
+  '⬛': 'gray',
+  '⬜': 'gray'
+};
+
+// Variation selectors and zero-width joiners that some platforms add to emoji
+const INVISIBLE_CHARS = /[\uFE0E\uFE0F\u200D]/g;
+
+/**
+ * Extracts tile color rows from emoji share text
+ * Lines that aren't made purely of tiles (header, blank lines) are skipped
+ *
+ * @param {string} shareText - Pasted share text
+ * @returns {string[][]} One array of colors per row, e.g. [['gray', 'yellow', ...], ...]
+ */
+export function parseShareGrid(shareText) {
+  return shareText
+    .split(/\r?\n/)
+    .map(line => Array.from(line.replace(INVISIBLE_CHARS, '').replace(/\s/g, '')))
+    .filter(tiles => tiles.length > 0 && tiles.every(tile => TILE_EMOJI_COLORS[tile]))
+    .map(tiles => tiles.map(tile => TILE_EMOJI_COLORS[tile]));
+}
+
+/**
+ * Extracts guessed words from free-form text (newlines, spaces or commas)
+ *
+ * @param {string} wordsText - Pasted guesses
+ * @returns {string[]} Uppercase words in the order they were typed
+ */
+export function parseGuessWords(wordsText) {
+  return wordsText
+    .split(/[\s,]+/)
+    .map(word => word.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Pairs share grid rows with guessed words
+ *
+ * Validation:
+ * - The grid must contain at least one row of wordLength tiles
+ * - Every word must be wordLength letters (A-Z)
+ * - There must be exactly one word per grid row
+ *
+ * @param {string} shareText - Emoji share text
+ * @param {string} wordsText - Guessed words
+ * @param {number} [wordLength] - Word length of the board
+ * @returns {{ success: boolean, guesses?: Array<{word: string, colors: string[]}>, error?: string }}
+ *
+ * @example
+ * importShareText('🟩⬛⬛🟨⬛', 'CRANE')
+ * // → { success: true, guesses: [{ word: 'CRANE', colors: ['green', 'gray', 'gray', 'yellow', 'gray'] }] }
+ */
+export function importShareText(shareText, wordsText, wordLength = WORD_LENGTH) {
+  const rows = parseShareGrid(shareText);
+  const words = parseGuessWords(wordsText);
+
+  if (rows.length === 0) {
+    return { success: false, error: 'No emoji rows found in the share text' };
+  }
+
+  const badRow = rows.findIndex(colors => colors.length !== wordLength);
+  if (badRow !== -1) {
+    return { success: false, error: `Row ${badRow + 1} has ${rows[badRow].length} tiles, expected ${wordLength}` };
+  }
+
+  const badWord = words.find(word => word.length !== wordLength || !/^[A-Z]+$/.test(word));
+  if (badWord) {
+    return { success: false, error: `"${badWord}" is not a ${wordLength}-letter word` };
+  }
+
+  if (words.length !== rows.length) {
+    return {
+      success: false,
+      error: `Found ${rows.length} rows but ${words.length} words - enter one word per row`
+    };
+  }
+
+  const guesses = rows.map((colors, i) => ({ word: words[i], colors }));
+  return { success: true, guesses };
+}
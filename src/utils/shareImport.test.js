@@ -0,0 +1,58 @@
+/**
+ * SHARE GRID IMPORT TESTS
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseShareGrid, parseGuessWords, importShareText } from './shareImport';
+
+const SHARE_TEXT = `Wordle 1,234 3/6
+
+⬛🟨⬛⬛⬛
+⬛⬛🟩🟨⬛
+🟩🟩🟩🟩🟩`;
+
+describe('parseShareGrid', () => {
+  it('reads tile rows and skips the header and blank lines', () => {
+    expect(parseShareGrid(SHARE_TEXT)).toEqual([
+      ['gray', 'yellow', 'gray', 'gray', 'gray'],
+      ['gray', 'gray', 'green', 'yellow', 'gray'],
+      ['green', 'green', 'green', 'green', 'green']
+    ]);
+  });
+
+  it('accepts high contrast and light theme tiles with variation selectors', () => {
+    expect(parseShareGrid('🟧🟦⬜️⬜ ⬛')).toEqual([['green', 'yellow', 'gray', 'gray', 'gray']]);
+  });
+});
+
+describe('parseGuessWords', () => {
+  it('splits on newlines, spaces and commas and uppercases', () => {
+    expect(parseGuessWords('crane\nslate, moist  pious')).toEqual(['CRANE', 'SLATE', 'MOIST', 'PIOUS']);
+  });
+});
+
+describe('importShareText', () => {
+  it('pairs each row with its word', () => {
+    const result = importShareText(SHARE_TEXT, 'crane moist pious');
+
+    expect(result.success).toBe(true);
+    expect(result.guesses[1]).toEqual({ word: 'MOIST', colors: ['gray', 'gray', 'green', 'yellow', 'gray'] });
+  });
+
+  it('rejects text without tiles', () => {
+    expect(importShareText('Wordle 1,234 X/6', 'crane')).toEqual({
+      success: false,
+      error: 'No emoji rows found in the share text'
+    });
+  });
+
+  it('rejects rows and words of the wrong length', () => {
+    expect(importShareText('🟩⬛⬛🟨', 'CRANE').error).toBe('Row 1 has 4 tiles, expected 5');
+    expect(importShareText('🟩⬛⬛🟨⬛', 'CRANES').error).toBe('"CRANES" is not a 5-letter word');
+    expect(importShareText('🟩⬛⬛🟨⬛🟩', 'CRANES', 6).success).toBe(true);
+  });
+
+  it('needs one word per row', () => {
+    expect(importShareText(SHARE_TEXT, 'crane moist').error).toBe('Found 3 rows but 2 words - enter one word per row');
+  });
+});
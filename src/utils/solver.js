@@ -0,0 +1,267 @@
+/**
+ * GUESS SOLVER
+ *
+ * Ranks possible next guesses by how much they are expected to narrow down
+ * the remaining candidates.
+ *
+ * How it works:
+ * - For a guess, every remaining candidate would produce some feedback pattern
+ *   (e.g., ⬛🟨⬛🟩⬛). Candidates that produce the same pattern are
+ *   indistinguishable after that guess, so they land in the same "bucket".
+ * - Expected information (entropy, in bits) measures how evenly the guess
+ *   splits the candidates: more, smaller buckets = more bits = better guess.
+ * - Expected remaining is the average bucket size you'd land in afterwards.
+ *
+ * The solver takes the same constraint object as filterWordList, so the
+ * candidates it ranks against are exactly the words shown in the cloud.
+ *
+ * Multi-board mode (Dordle, Quordle, ...): one guess is played on every
+ * unsolved board at once, so its value is the sum of its bits on each board.
+ */
+
+import { filterWordList } from './filterLogic';
+import { getFeedbackCode } from './guessLogic';
+import { getWordFrequency } from './wordLists';
+import {
+  SOLVER_MAX_CANDIDATES,
+  SOLVER_SUGGESTION_COUNT
+} from '../constants';
+
+// Number of distinct feedback patterns (3 colors per position)
+const getPatternCount = (wordLength) => 3 ** wordLength;
+
+/**
+ * Picks an evenly spaced, deterministic sample of candidates
+ * Keeps scoring fast early in the game when thousands of words remain
+ *
+ * @param {string[]} candidates - Remaining candidate words
+ * @param {number} maxCount - Maximum sample size
+ * @returns {string[]} Sampled candidates (all of them if under the limit)
+ */
+function sampleCandidates(candidates, maxCount) {
+  if (candidates.length <= maxCount) return candidates;
+
+  const step = candidates.length / maxCount;
+  const sample = [];
+  for (let i = 0; i < maxCount; i++) {
+    sample.push(candidates[Math.floor(i * step)]);
+  }
+  return sample;
+}
+
+/**
+ * Creates the reusable bucket arrays for scoreAgainstCandidates
+ *
+ * @param {number} wordLength - Word length (sets the number of feedback patterns)
+ * @param {number} maxCandidates - Most candidates scored at once (caps the buckets a guess can fill)
+ * @returns {{ counts: Uint32Array, touched: Uint32Array }} Counts per pattern (all zero) and room for the filled ones
+ */
+function createBuckets(wordLength, maxCandidates) {
+  return {
+    counts: new Uint32Array(getPatternCount(wordLength)),
+    touched: new Uint32Array(maxCandidates)
+  };
+}
+
+/**
+ * Scores a single guess against a set of candidates
+ * Only the buckets the candidates land in are read and reset, so the cost
+ * doesn't grow with the 3^m patterns (which matters for long words).
+ *
+ * ALGORITHM COMPLEXITY:
+ * - Time: O(n × m) where n = candidates, m = word length
+ * - Space: O(3^m) for the bucket counts (243 for 5-letter words, ~177,000 for 11),
+ *   allocated once per ranking by createBuckets()
+ *
+ * @param {string} guess - Lowercase guess
+ * @param {string[]} candidates - Lowercase candidate answers
+ * @param {{ counts: Uint32Array, touched: Uint32Array }} buckets - From createBuckets(), left all zero again
+ * @returns {{ entropy: number, expectedRemaining: number }}
+ */
+function scoreAgainstCandidates(guess, candidates, buckets) {
+  const { counts, touched } = buckets;
+  let touchedCount = 0;
+  for (const candidate of candidates) {
+    const code = getFeedbackCode(guess, candidate);
+    if (counts[code]++ === 0) {
+      touched[touchedCount++] = code;
+    }
+  }
+
+  const total = candidates.length;
+  let entropy = 0;
+  let sumOfSquares = 0;
+  for (let i = 0; i < touchedCount; i++) {
+    const code = touched[i];
+    const count = counts[code];
+    const p = count / total;
+    entropy -= p * Math.log2(p);
+    sumOfSquares += count * count;
+    counts[code] = 0;
+  }
+
+  return { entropy, expectedRemaining: sumOfSquares / total };
+}
+
+/**
+ * Ranks guesses by expected information against the remaining candidates
+ *
+ * Ordering: highest entropy first; ties prefer guesses that could be the
+ * answer, then more common words, then alphabetical (so the ranking is
+ * stable between renders).
+ *
+ * ALGORITHM COMPLEXITY:
+ * - Time: O(g × n × m) where g = guess pool, n = sampled candidates, m = word length
+ *   - ~11,700 guesses × 250 candidates ≈ 3M feedback computations worst case
+ * - Space: O(g) for the scored list
+ *
+ * @param {string[]} candidates - Remaining candidate words (e.g., filteredWords)
+ * @param {string[]} guessPool - Words allowed as guesses
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Number of suggestions to return
+ * @param {number} [options.maxCandidates] - Sample size cap for candidates
+ * @returns {Array<{ word: string, entropy: number, expectedRemaining: number, isCandidate: boolean }>}
+ */
+export function rankGuesses(candidates, guessPool, {
+  limit = SOLVER_SUGGESTION_COUNT,
+  maxCandidates = SOLVER_MAX_CANDIDATES
+} = {}) {
+  if (candidates.length === 0) return [];
+
+  // One or two words left: just guess them, the more common word first
+  // (any other guess wastes a turn)
+  if (candidates.length <= 2) {
+    return candidates
+      .map(word => ({
+        word: word.toLowerCase(),
+        entropy: candidates.length === 2 ? 1 : 0,
+        expectedRemaining: candidates.length === 2 ? 1 : 0,
+        isCandidate: true
+      }))
+      .sort((a, b) => getWordFrequency(b.word) - getWordFrequency(a.word));
+  }
+
+  const sampled = sampleCandidates(candidates, maxCandidates).map(w => w.toLowerCase());
+  const candidateSet = new Set(candidates.map(w => w.toLowerCase()));
+  const buckets = createBuckets(sampled[0].length, sampled.length);
+
+  // Scale expected remaining back up when scoring against a sample
+  const scale = candidates.length / sampled.length;
+
+  const scored = guessPool.map(guess => {
+    const word = guess.toLowerCase();
+    const { entropy, expectedRemaining } = scoreAgainstCandidates(word, sampled, buckets);
+    return {
+      word,
+      entropy,
+      expectedRemaining: expectedRemaining * scale,
+      isCandidate: candidateSet.has(word)
+    };
+  });
+
+  scored.sort((a, b) => (
+    b.entropy - a.entropy ||
+    Number(b.isCandidate) - Number(a.isCandidate) ||
+    getWordFrequency(b.word) - getWordFrequency(a.word) ||
+    a.word.localeCompare(b.word)
+  ));
+
+  return scored.slice(0, limit);
+}
+
+/**
+ * Suggests the best next guesses for a set of constraints
+ * Filters the word list with the same constraint object the cloud uses,
+ * then ranks the guess pool against the result.
+ *
+ * @param {Object} constraints - Same object filterWordList takes ({ green, yellow, gray, counts? })
+ * @param {string[]} wordList - Word list the candidates come from
+ * @param {string[]} guessPool - Words allowed as guesses
+ * @param {Object} [options] - See rankGuesses
+ * @returns {Array<{ word: string, entropy: number, expectedRemaining: number, isCandidate: boolean }>}
+ */
+export function suggestGuesses(constraints, wordList, guessPool, options) {
+  const candidates = filterWordList(constraints, wordList);
+  return rankGuesses(candidates, guessPool, options);
+}
+
+/**
+ * Ranks guesses for several boards played at once (one guess goes to every board)
+ *
+ * Ordering:
+ * 1. Words that are the only candidate left on some board (a guaranteed solve)
+ * 2. Highest total entropy (sum of each board's bits)
+ * 3. Guesses that could be an answer on some board, then more common words,
+ *    then alphabetical
+ *
+ * Each board is sampled to maxCandidates / boards, so the total work stays
+ * close to a single-board ranking.
+ *
+ * @param {string[][]} candidateSets - Remaining candidates per board (unsolved boards only)
+ * @param {string[]} guessPool - Words allowed as guesses
+ * @param {Object} [options] - Same as rankGuesses
+ * @returns {Array<{ word: string, entropy: number, expectedRemaining: number, isCandidate: boolean, candidateBoards: number[] }>}
+ *   entropy and expectedRemaining are totals across boards; candidateBoards are
+ *   indices into candidateSets where the word could be the answer
+ */
+export function rankGuessesAcrossBoards(candidateSets, guessPool, {
+  limit = SOLVER_SUGGESTION_COUNT,
+  maxCandidates = SOLVER_MAX_CANDIDATES
+} = {}) {
+  const boards = candidateSets.filter(candidates => candidates.length > 0);
+  if (boards.length === 0) return [];
+
+  const perBoardLimit = Math.max(1, Math.floor(maxCandidates / boards.length));
+  const sampledBoards = boards.map(candidates => sampleCandidates(candidates, perBoardLimit).map(w => w.toLowerCase()));
+  const candidateSetsLower = candidateSets.map(candidates => new Set(candidates.map(w => w.toLowerCase())));
+  const solvedWords = new Set(boards.filter(candidates => candidates.length === 1).map(([word]) => word.toLowerCase()));
+  const buckets = createBuckets(sampledBoards[0][0].length, Math.max(...sampledBoards.map(sampled => sampled.length)));
+
+  const scored = guessPool.map(guess => {
+    const word = guess.toLowerCase();
+    let entropy = 0;
+    let expectedRemaining = 0;
+
+    sampledBoards.forEach((sampled, i) => {
+      const score = scoreAgainstCandidates(word, sampled, buckets);
+      entropy += score.entropy;
+      expectedRemaining += score.expectedRemaining * (boards[i].length / sampled.length);
+    });
+
+    const candidateBoards = candidateSetsLower
+      .map((set, index) => (set.has(word) ? index : -1))
+      .filter(index => index !== -1);
+
+    return {
+      word,
+      entropy,
+      expectedRemaining,
+      isCandidate: candidateBoards.length > 0,
+      candidateBoards
+    };
+  });
+
+  scored.sort((a, b) => (
+    Number(solvedWords.has(b.word)) - Number(solvedWords.has(a.word)) ||
+    b.entropy - a.entropy ||
+    Number(b.isCandidate) - Number(a.isCandidate) ||
+    getWordFrequency(b.word) - getWordFrequency(a.word) ||
+    a.word.localeCompare(b.word)
+  ));
+
+  return scored.slice(0, limit);
+}
+
+/**
+ * Suggests the best next guesses for several boards played at once
+ *
+ * @param {Object[]} constraintsList - One constraint object per unsolved board
+ * @param {string[]} wordList - Word list the candidates come from
+ * @param {string[]} guessPool - Words allowed as guesses
+ * @param {Object} [options] - See rankGuesses
+ * @returns {Array} See rankGuessesAcrossBoards
+ */
+export function suggestGuessesAcrossBoards(constraintsList, wordList, guessPool, options) {
+  const candidateSets = constraintsList.map(constraints => filterWordList(constraints, wordList));
+  return rankGuessesAcrossBoards(candidateSets, guessPool, options);
+}
@@ -0,0 +1,75 @@
+/**
+ * GUESS SOLVER TESTS
+ */
+
+import { describe, it, expect } from 'vitest';
+import { rankGuesses, rankGuessesAcrossBoards, suggestGuesses } from './solver';
+import { createEmptyGreen, createEmptyYellow } from './wordLength';
+
+// Four words that differ only in the first letter
+const CANDIDATES = ['baker', 'maker', 'taker', 'waker'];
+
+describe('rankGuesses', () => {
+  it('ranks the guess that splits every candidate apart first', () => {
+    const [best, next] = rankGuesses(CANDIDATES, ['baker', 'twamb']);
+
+    expect(best).toEqual({ word: 'twamb', entropy: 2, expectedRemaining: 1, isCandidate: false });
+    expect(next.word).toBe('baker');
+    expect(next.entropy).toBeLessThan(1);
+  });
+
+  it('prefers a possible answer when the information is equal', () => {
+    // Both split off BAKER from MAKER / TAKER
+    const ranked = rankGuesses(['baker', 'maker', 'taker'], ['bxxxx', 'baker']);
+
+    expect(ranked[0].entropy).toBeCloseTo(ranked[1].entropy);
+    expect(ranked.map(({ word }) => word)).toEqual(['baker', 'bxxxx']);
+  });
+
+  it('returns the last one or two candidates lowercased', () => {
+    expect(rankGuesses(['CRANE'], ['slate'])).toEqual([
+      { word: 'crane', entropy: 0, expectedRemaining: 0, isCandidate: true }
+    ]);
+    expect(rankGuesses(['CRANE', 'CRATE'], ['slate']).map(({ word }) => word).sort()).toEqual(['crane', 'crate']);
+  });
+
+  it('scores every guess from empty buckets whatever the pool order', () => {
+    const forward = rankGuesses(CANDIDATES, ['baker', 'twamb', 'maker']);
+    const backward = rankGuesses(CANDIDATES, ['maker', 'twamb', 'baker']);
+
+    expect(backward).toEqual(forward);
+  });
+
+  it('returns nothing without candidates', () => {
+    expect(rankGuesses([], ['crane'])).toEqual([]);
+  });
+
+  it('scales expected remaining back up when sampling', () => {
+    const [best] = rankGuesses(CANDIDATES, ['twamb'], { maxCandidates: 2 });
+
+    expect(best.expectedRemaining).toBe(2);
+  });
+});
+
+describe('suggestGuesses', () => {
+  it('ranks against the words that fit the constraints', () => {
+    const constraints = { green: { ...createEmptyGreen(5), 0: 'B' }, yellow: createEmptyYellow(5), gray: [] };
+
+    expect(suggestGuesses(constraints, CANDIDATES, ['twamb'])).toEqual([
+      { word: 'baker', entropy: 0, expectedRemaining: 0, isCandidate: true }
+    ]);
+  });
+});
+
+describe('rankGuessesAcrossBoards', () => {
+  it('puts a board’s last candidate first and adds up the bits of every board', () => {
+    const ranked = rankGuessesAcrossBoards([['waker'], CANDIDATES], ['twamb', 'waker']);
+
+    expect(ranked[0]).toMatchObject({ word: 'waker', candidateBoards: [0, 1] });
+    expect(ranked[1]).toMatchObject({ word: 'twamb', entropy: 2, candidateBoards: [] });
+  });
+
+  it('skips solved boards', () => {
+    expect(rankGuessesAcrossBoards([[], []], ['crane'])).toEqual([]);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * WORD LENGTH HELPERS
+ *
+ * The board works for any word length in WORD_LENGTH_OPTIONS (Wordle clones
+ * use 4-11 letters). Positions are 0-indexed internally and shown 1-indexed.
+ */
+
+import { TILE_TEXT_SIZES } from '../constants';
+
+/**
+ * Position indices for word slots (0-indexed for internal use)
+ *
+ * @param {number} length - Word length
+ * @returns {number[]} e.g. [0, 1, 2, 3, 4] for 5 letters
+ */
+export function getPositionIndices(length) {
+  return Array.from({ length }, (_, i) => i);
+}
+
+/**
+ * Empty green constraints: { 0: null, 1: null, ... }
+ *
+ * @param {number} length - Word length
+ * @returns {Object} Position -> null
+ */
+export function createEmptyGreen(length) {
+  return Object.fromEntries(getPositionIndices(length).map(i => [i, null]));
+}
+
+/**
+ * Empty yellow constraints: { 0: [], 1: [], ... }
+ *
+ * @param {number} length - Word length
+ * @returns {Object} Position -> []
+ */
+export function createEmptyYellow(length) {
+  return Object.fromEntries(getPositionIndices(length).map(i => [i, []]));
+}
+
+/**
+ * Inline grid style with one column per position
+ * (Tailwind only ships grid-cols-* classes for fixed counts)
+ *
+ * @param {number} length - Word length
+ * @returns {Object} Style object for a CSS grid container
+ */
+export function getTileGridStyle(length) {
+  return { gridTemplateColumns: `repeat(${length}, minmax(0, 1fr))` };
+}
+
+/**
+ * Tailwind text size for row tiles
+ *
+ * @param {number} length - Word length
+ * @param {Array} [sizes] - Size table (TILE_TEXT_SIZES or GUESS_TILE_TEXT_SIZES)
+ * @returns {string} e.g. 'text-5xl' for 5 letters
+ */
+export function getTileTextClass(length, sizes = TILE_TEXT_SIZES) {
+  return sizes.find(({ maxLength }) => length <= maxLength).className;
+}
@@ -0,0 +1,41 @@
+/**
+ * WORD LENGTH HELPER TESTS
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getPositionIndices,
+  createEmptyGreen,
+  createEmptyYellow,
+  getTileGridStyle,
+  getTileTextClass
+} from './wordLength';
+import { GUESS_TILE_TEXT_SIZES } from '../constants';
+
+describe('position maps', () => {
+  it('has one slot per letter', () => {
+    expect(getPositionIndices(4)).toEqual([0, 1, 2, 3]);
+    expect(createEmptyGreen(4)).toEqual({ 0: null, 1: null, 2: null, 3: null });
+    expect(Object.keys(createEmptyYellow(11))).toHaveLength(11);
+  });
+
+  it('gives every yellow position its own array', () => {
+    const yellow = createEmptyYellow(5);
+    yellow[0].push('A');
+
+    expect(yellow[1]).toEqual([]);
+  });
+});
+
+describe('tile layout', () => {
+  it('uses one grid column per letter', () => {
+    expect(getTileGridStyle(7)).toEqual({ gridTemplateColumns: 'repeat(7, minmax(0, 1fr))' });
+  });
+
+  it('shrinks the letters as words get longer', () => {
+    expect(getTileTextClass(4)).toBe('text-5xl');
+    expect(getTileTextClass(6)).toBe('text-4xl');
+    expect(getTileTextClass(11)).toBe('text-2xl');
+    expect(getTileTextClass(5, GUESS_TILE_TEXT_SIZES)).toBe('text-4xl');
+  });
+});
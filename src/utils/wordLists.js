@@ -0,0 +1,157 @@
+/**
+ * WORD LIST SELECTION
+ *
+ * Loads the word lists for a word length and picks which one the filter
+ * runs against, based on the word list mode (answers only, all valid
+ * guesses, or both with answers highlighted).
+ *
+ * The lists themselves live in src/data:
+ * - solutions.js: the real Wordle lists (5 letters, always bundled)
+ * - wordsByLength/words{N}.js: other lengths (4, 6-11), loaded on demand
+ * - wordFrequency/frequency{N}.js: commonness score per word (Zipf frequency,
+ *   built by scripts/buildWordFrequency.js), loaded with its length's lists
+ *
+ * Every list module has the same exports:
+ * - ANSWERS_LIST: likely answers (curated Wordle answers for 5 letters)
+ * - VALID_GUESSES_LIST: other accepted guesses
+ * - SOLUTIONS_LIST: both combined, sorted
+ */
+
+import * as FIVE_LETTER_LISTS from '../data/solutions';
+import { WORD_FREQUENCY as FIVE_LETTER_FREQUENCY } from '../data/wordFrequency/frequency5';
+import { WORD_LENGTH, WORD_LIST_MODES } from '../constants';
+
+// Lazy loaders for the other lengths (each becomes its own chunk)
+const WORD_LIST_LOADERS = {
+  4: () => import('../data/wordsByLength/words4.js'),
+  6: () => import('../data/wordsByLength/words6.js'),
+  7: () => import('../data/wordsByLength/words7.js'),
+  8: () => import('../data/wordsByLength/words8.js'),
+  9: () => import('../data/wordsByLength/words9.js'),
+  10: () => import('../data/wordsByLength/words10.js'),
+  11: () => import('../data/wordsByLength/words11.js')
+};
+
+// Lazy loaders for the frequency scores of the other lengths
+const FREQUENCY_LOADERS = {
+  4: () => import('../data/wordFrequency/frequency4.js'),
+  6: () => import('../data/wordFrequency/frequency6.js'),
+  7: () => import('../data/wordFrequency/frequency7.js'),
+  8: () => import('../data/wordFrequency/frequency8.js'),
+  9: () => import('../data/wordFrequency/frequency9.js'),
+  10: () => import('../data/wordFrequency/frequency10.js'),
+  11: () => import('../data/wordFrequency/frequency11.js')
+};
+
+/**
+ * Wraps a list module with Sets for O(1) lookups
+ *
+ * @param {Object} module - { ANSWERS_LIST, SOLUTIONS_LIST }
+ * @param {Object} frequency - Zipf frequency by word (words missing from the corpus are left out)
+ * @returns {{ answers: string[], all: string[], answerSet: Set<string>, validSet: Set<string>, frequency: Object }}
+ */
+function createWordLists({ ANSWERS_LIST, SOLUTIONS_LIST }, frequency) {
+  return {
+    answers: ANSWERS_LIST,
+    all: SOLUTIONS_LIST,
+    answerSet: new Set(ANSWERS_LIST),
+    validSet: new Set(SOLUTIONS_LIST),
+    frequency
+  };
+}
+
+// Loaded lists by word length (5 letters is always ready)
+const loadedLists = {
+  [WORD_LENGTH]: createWordLists(FIVE_LETTER_LISTS, FIVE_LETTER_FREQUENCY)
+};
+
+// In-flight loads by word length (so parallel callers share one import)
+const pendingLoads = {};
+
+/**
+ * Returns the word lists for a length if they're already loaded
+ *
+ * @param {number} length - Word length
+ * @returns {Object|null} Lists (see createWordLists) or null if not loaded yet
+ */
+export function getLoadedWordLists(length) {
+  return loadedLists[length] ?? null;
+}
+
+/**
+ * Loads the word lists for a length (cached after the first call)
+ *
+ * @param {number} length - Word length (4-11)
+ * @returns {Promise<Object>} Lists (see createWordLists)
+ * @throws {Error} If there are no lists for that length
+ */
+export async function loadWordLists(length) {
+  if (loadedLists[length]) return loadedLists[length];
+
+  const loader = WORD_LIST_LOADERS[length];
+  if (!loader) {
+    throw new Error(`No word list for ${length}-letter words`);
+  }
+
+  pendingLoads[length] ??= Promise.all([loader(), FREQUENCY_LOADERS[length]()])
+    .then(([module, { WORD_FREQUENCY }]) => {
+      loadedLists[length] = createWordLists(module, WORD_FREQUENCY);
+      return loadedLists[length];
+    })
+    .finally(() => {
+      delete pendingLoads[length];
+    });
+
+  return pendingLoads[length];
+}
+
+/**
+ * Returns the word list to filter for a word list mode
+ *
+ * @param {string} mode - One of WORD_LIST_MODES
+ * @param {Object} [lists] - Lists for the current word length (default: 5 letters)
+ * @returns {string[]} Lowercase word list
+ */
+export function getWordListForMode(mode, lists = loadedLists[WORD_LENGTH]) {
+  return mode === WORD_LIST_MODES.ANSWERS ? lists.answers : lists.all;
+}
+
+/**
+ * Checks whether a word is a likely answer (curated Wordle answer for 5 letters)
+ * Uses the lists for the word's own length (false if they aren't loaded)
+ *
+ * @param {string} word - Word in any case
+ * @returns {boolean} True if the word is in its length's ANSWERS_LIST
+ */
+export function isAnswer(word) {
+  return loadedLists[word.length]?.answerSet.has(word.toLowerCase()) ?? false;
+}
+
+/**
+ * Checks whether a word is accepted (an answer or a valid guess)
+ * Uses the lists for the word's own length (false if they aren't loaded)
+ *
+ * @param {string} word - Word in any case
+ * @returns {boolean} True if the word is in its length's SOLUTIONS_LIST
+ */
+export function isValidWord(word) {
+  return loadedLists[word.length]?.validSet.has(word.toLowerCase()) ?? false;
+}
+
+/**
+ * Returns how common a word is in everyday English
+ * Zipf frequency from film subtitles: ~1 = rare, 3 = uncommon, 4-5 = everyday,
+ * 6+ = the most common words. 0 for words missing from the corpus (e.g., XYLYL)
+ * or whose length's lists aren't loaded.
+ *
+ * @param {string} word - Word in any case
+ * @returns {number} Zipf frequency (0-7)
+ *
+ * @example
+ * getWordFrequency('CRANE') // → 4.5
+ */
+export function getWordFrequency(word) {
+  const frequency = loadedLists[word.length]?.frequency;
+  const key = word.toLowerCase();
+  return frequency && Object.hasOwn(frequency, key) ? frequency[key] : 0;
+}
@@ -0,0 +1,83 @@
+/**
+ * WORD SCORE
+ *
+ * Ranks the remaining words by how likely each one is to be the answer,
+ * so the word cloud can show the likeliest words, biggest first.
+ *
+ * Score (higher = likelier):
+ * - +1 for a likely answer (curated Wordle answer, or a common word for
+ *   other lengths) - daily answers come from that list
+ * - + commonness (0-1): how often the word is used in everyday English
+ *   (Zipf frequency / 7, see getWordFrequency), so CRANE beats CRAIG-style
+ *   obscurities
+ * - + letter fit (0-1): how common the word's letters are, position by
+ *   position, among the remaining words. A word that shares its letters with
+ *   many other candidates is the "typical" remaining word.
+ *
+ * Ties are broken alphabetically, so the ranking is fully deterministic.
+ */
+
+import { isAnswer, getWordFrequency } from './wordLists';
+import { WORD_LENGTH } from '../constants';
+
+// Zipf frequency of the most common words (commonness = frequency / this, capped at 1)
+const MAX_FREQUENCY = 7;
+
+/**
+ * Scores and ranks words
+ *
+ * ALGORITHM COMPLEXITY:
+ * - Time: O(n × m + n log n) where n = words, m = word length (count, score, sort)
+ * - Space: O(n + m × 26)
+ *
+ * @param {string[]} words - Remaining candidate words (lowercase)
+ * @param {number} [wordLength] - Word length
+ * @returns {Array<{ word: string, score: number, isAnswer: boolean, frequency: number, letterFit: number }>}
+ *   Sorted by score (highest first), then alphabetically
+ *
+ * @example
+ * rankWords(['crane', 'crate', 'xylyl'])[0].word // → 'crane'
+ */
+export function rankWords(words, wordLength = WORD_LENGTH) {
+  if (words.length === 0) return [];
+
+  // Letter counts per position over all remaining words
+  const counts = Array.from({ length: wordLength }, () => new Uint32Array(26));
+  for (const word of words) {
+    for (let position = 0; position < wordLength; position++) {
+      counts[position][word.charCodeAt(position) - 97]++;
+    }
+  }
+
+  const ranked = words.map(word => {
+    let letterTotal = 0;
+    for (let position = 0; position < wordLength; position++) {
+      letterTotal += counts[position][word.charCodeAt(position) - 97];
+    }
+    const letterFit = letterTotal / (wordLength * words.length);
+    const answer = isAnswer(word);
+    const frequency = getWordFrequency(word);
+    const commonness = Math.min(frequency / MAX_FREQUENCY, 1);
+    return { word, score: (answer ? 1 : 0) + commonness + letterFit, isAnswer: answer, frequency, letterFit };
+  });
+
+  return ranked.sort((a, b) => b.score - a.score || (a.word < b.word ? -1 : 1));
+}
+
+/**
+ * Picks a font size for a word by its rank among the words shown
+ * The top of the ranking gets the largest size, the bottom the smallest,
+ * in equal-sized bands.
+ *
+ * @param {number} rank - Position in the ranking (0 = best)
+ * @param {number} count - Number of words shown
+ * @param {string[]} sizes - Tailwind font size classes, smallest first
+ * @returns {string} Font size class
+ *
+ * @example
+ * getSizeForRank(0, 40, ['text-lg', 'text-xl', 'text-2xl']) // → 'text-2xl'
+ */
+export function getSizeForRank(rank, count, sizes) {
+  const band = Math.floor((rank * sizes.length) / count);
+  return sizes[sizes.length - 1 - band];
+}
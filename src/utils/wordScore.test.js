@@ -0,0 +1,43 @@
+/**
+ * WORD SCORE TESTS
+ */
+
+import { describe, it, expect } from 'vitest';
+import { rankWords, getSizeForRank } from './wordScore';
+
+describe('rankWords', () => {
+  it('puts likely, common words ahead of obscure ones', () => {
+    const ranked = rankWords(['xylyl', 'crane', 'crate']);
+
+    expect(ranked.map(({ word }) => word).at(-1)).toBe('xylyl');
+    expect(ranked[0].isAnswer).toBe(true);
+    expect(ranked[2].isAnswer).toBe(false);
+    expect(ranked[0].score).toBeGreaterThan(ranked[2].score + 1);
+  });
+
+  it('measures letter fit against the remaining words', () => {
+    const [only] = rankWords(['crane']);
+
+    expect(only.letterFit).toBe(1);
+    expect(rankWords(['aaaaa', 'aaaab', 'bbbbb']).find(({ word }) => word === 'aaaab').letterFit).toBeCloseTo(10 / 15);
+  });
+
+  it('breaks ties alphabetically', () => {
+    // Not in any list: no answer bonus, no frequency, same letter fit
+    expect(rankWords(['qqzzq', 'qqzzp']).map(({ word }) => word)).toEqual(['qqzzp', 'qqzzq']);
+  });
+
+  it('returns nothing for no words', () => {
+    expect(rankWords([])).toEqual([]);
+  });
+});
+
+describe('getSizeForRank', () => {
+  const sizes = ['text-lg', 'text-xl', 'text-2xl'];
+
+  it('gives the largest size to the top band and the smallest to the bottom', () => {
+    expect(getSizeForRank(0, 30, sizes)).toBe('text-2xl');
+    expect(getSizeForRank(15, 30, sizes)).toBe('text-xl');
+    expect(getSizeForRank(29, 30, sizes)).toBe('text-lg');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * ANALYSIS CLIENT
+ *
+ * Main-thread side of the analysis worker protocol (see analysisWorker.js).
+ *
+ * Features:
+ * - Lazily starts a single shared worker on first request
+ * - One in-flight request per channel: a newer request supersedes the older
+ *   one, whose promise resolves as cancelled and whose late response is ignored
+ * - Synchronous fallback when Web Workers are unavailable or the worker
+ *   fails to load (same task code, just on the main thread)
+ *
+ * All requests resolve (never reject) with a result object:
+ * - { success: true, result }
+ * - { success: false, cancelled: true }  superseded or cancelled
+ * - { success: false, error: string }    task threw
+ */
+
+import { runAnalysisTask } from './analysisTasks';
+
+let worker = null;
+let isWorkerUnavailable = false;
+let nextRequestId = 1;
+
+// Latest request per channel: channel -> { id, type, payload, resolve }
+const inFlight = new Map();
+
+// Runs a task on the main thread (fallback path)
+// Still async: the task may need to load the word lists for its length first
+async function runSync(type, payload) {
+  try {
+    return { success: true, result: await runAnalysisTask(type, payload) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Handle a response from the worker (drop anything that isn't the latest for its channel)
+function handleWorkerMessage({ data }) {
+  const request = inFlight.get(data.channel);
+  if (!request || request.id !== data.id) return; // Stale response
+
+  inFlight.delete(data.channel);
+  request.resolve(
+    data.error !== undefined
+      ? { success: false, error: data.error }
+      : { success: true, result: data.result }
+  );
+}
+
+// Worker failed to load or crashed: switch to the sync fallback for good
+// and finish everything that was waiting on it
+function handleWorkerError(event) {
+  event.preventDefault?.();
+  console.warn('Analysis worker failed, falling back to main thread:', event.message);
+
+  worker?.terminate();
+  worker = null;
+  isWorkerUnavailable = true;
+
+  for (const [channel, request] of inFlight) {
+    inFlight.delete(channel);
+    runSync(request.type, request.payload).then(request.resolve);
+  }
+}
+
+// Returns the shared worker, creating it on first use (null if unsupported)
+function getWorker() {
+  if (worker || isWorkerUnavailable) return worker;
+
+  if (typeof Worker === 'undefined') {
+    isWorkerUnavailable = true;
+    return null;
+  }
+
+  try {
+    worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = handleWorkerError;
+  } catch (error) {
+    console.warn('Analysis worker unavailable, using main thread:', error);
+    worker = null;
+    isWorkerUnavailable = true;
+  }
+
+  return worker;
+}
+
+/**
+ * Requests an analysis task on a channel, superseding any older request on it
+ *
+ * @param {string} channel - Caller-specific channel (one in-flight request each)
+ * @param {string} type - Task type ('filter' | 'suggest' | 'suggestMulti')
+ * @param {Object} payload - Task input (must be structured-cloneable)
+ * @returns {Promise<{ success: boolean, result?: *, cancelled?: boolean, error?: string }>}
+ */
+export function requestAnalysis(channel, type, payload) {
+  cancelAnalysis(channel);
+
+  const activeWorker = getWorker();
+  if (!activeWorker) {
+    return runSync(type, payload);
+  }
+
+  const id = nextRequestId++;
+  return new Promise((resolve) => {
+    inFlight.set(channel, { id, type, payload, resolve });
+    activeWorker.postMessage({ type, id, channel, payload });
+  });
+}
+
+/**
+ * Cancels the in-flight request on a channel (if any)
+ * Its promise resolves with { success: false, cancelled: true }
+ *
+ * @param {string} channel - Channel to cancel
+ */
+export function cancelAnalysis(channel) {
+  const request = inFlight.get(channel);
+  if (!request) return;
+
+  inFlight.delete(channel);
+  request.resolve({ success: false, cancelled: true });
+  worker?.postMessage({ type: 'cancel', channel });
+}
@@ -0,0 +1,72 @@
+/**
+ * ANALYSIS TASKS
+ *
+ * The actual work behind the analysis worker: filtering and guess scoring.
+ * Kept free of worker APIs so the exact same code runs in the worker and
+ * in the synchronous fallback (browsers without Web Worker support).
+ *
+ * Payloads carry the word list MODE and word length rather than the list
+ * itself, so each message stays tiny instead of copying ~11,700 words across
+ * threads. Lists for other lengths are loaded on first use (see wordLists.js).
+ */
+
+import { filterWordList } from '../utils/filterLogic';
+import { suggestGuesses, suggestGuessesAcrossBoards } from '../utils/solver';
+import { getWordListForMode, loadWordLists } from '../utils/wordLists';
+import { removePastAnswers } from '../utils/pastAnswers';
+import { WORD_LENGTH } from '../constants';
+
+/**
+ * Word list the candidates come from: the list for the word list mode,
+ * minus answers played before hidePastAnswersBefore (when set)
+ */
+const getCandidateList = ({ wordListMode, hidePastAnswersBefore }, lists) => {
+  const words = getWordListForMode(wordListMode, lists);
+  return hidePastAnswersBefore ? removePastAnswers(words, hidePastAnswersBefore) : words;
+};
+
+/**
+ * Task handlers by message type
+ * Each takes a payload and the word lists for its word length, and returns
+ * a structured-cloneable result
+ */
+const TASKS = {
+  // payload: { constraints, wordListMode, wordLength, hidePastAnswersBefore? } → string[] of matching words
+  filter: (payload, lists) => (
+    filterWordList(payload.constraints, getCandidateList(payload, lists))
+  ),
+
+  // payload: { constraints, wordListMode, wordLength, hidePastAnswersBefore?, options? } → ranked suggestions
+  // (past answers can still be guessed, so only the candidates leave them out)
+  suggest: (payload, lists) => (
+    suggestGuesses(payload.constraints, getCandidateList(payload, lists), lists.all, payload.options)
+  ),
+
+  // payload: { boards: [{ constraints, index? }], wordListMode, wordLength, hidePastAnswersBefore?, options? }
+  //   → ranked suggestions across all boards (multi-board mode)
+  suggestMulti: (payload, lists) => (
+    suggestGuessesAcrossBoards(
+      payload.boards.map(({ constraints }) => constraints),
+      getCandidateList(payload, lists),
+      lists.all,
+      payload.options
+    )
+  )
+};
+
+/**
+ * Runs an analysis task
+ *
+ * @param {string} type - Task type (key of TASKS)
+ * @param {Object} payload - Task input (wordLength defaults to WORD_LENGTH)
+ * @returns {Promise<*>} Task result
+ * @throws {Error} If the task type is unknown or the word lists fail to load
+ */
+export async function runAnalysisTask(type, payload) {
+  const task = TASKS[type];
+  if (!task) {
+    throw new Error(`Unknown analysis task: ${type}`);
+  }
+  const lists = await loadWordLists(payload.wordLength ?? WORD_LENGTH);
+  return task(payload, lists);
+}
@@ -0,0 +1,59 @@
+/**
+ * ANALYSIS WEB WORKER
+ *
+ * Runs filtering and guess scoring off the main thread so typing and
+ * framer-motion animations never stutter, even against ~11,700 words.
+ *
+ * Message protocol:
+ * - main → worker: { type, id, channel, payload }   run a task
+ * - main → worker: { type: 'cancel', channel }      drop pending work on a channel
+ * - worker → main: { id, channel, result }          task finished
+ * - worker → main: { id, channel, error }           task threw
+ *
+ * Cancellation of stale requests:
+ * Each caller uses its own channel (e.g., one for the cloud filter, one for
+ * suggestions). Only the newest pending request per channel is kept, and
+ * work is deferred by one tick so a burst of keystrokes collapses into a
+ * single run of the latest constraints.
+ */
+
+import { runAnalysisTask } from './analysisTasks';
+
+// Latest pending request per channel (older ones are superseded)
+const pending = new Map();
+let isScheduled = false;
+
+// Run every pending request (newest per channel) and post results back
+// Tasks only await when a word list is loaded for the first time
+async function processPending() {
+  isScheduled = false;
+
+  for (const [channel, request] of pending) {
+    pending.delete(channel);
+
+    try {
+      const result = await runAnalysisTask(request.type, request.payload);
+      self.postMessage({ id: request.id, channel, result });
+    } catch (error) {
+      self.postMessage({ id: request.id, channel, error: error.message });
+    }
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'cancel') {
+    pending.delete(message.channel);
+    return;
+  }
+
+  // Supersede any older request still waiting on this channel
+  pending.set(message.channel, message);
+
+  // Defer one tick so queued messages (newer requests, cancels) are read first
+  if (!isScheduled) {
+    isScheduled = true;
+    setTimeout(processPending, 0);
+  }
+};
@@ -7,5 +7,8 @@ export default defineConfig({
   plugins: [react(), tailwindcss()],
   build: {
     sourcemap: false  // Disable source maps in production to protect source code and reduce bundle size
+  },
+  worker: {
+    format: 'es'  // Module worker, so it can lazy-load word lists as separate chunks
   }
 })